@@ -0,0 +1,539 @@
+(function (global, factory) {
+    typeof exports === 'object' && typeof module !== 'undefined' ? factory(exports, require('@angular/cdk/bidi'), require('@angular/cdk/coercion'), require('@angular/cdk/keycodes'), require('@angular/cdk/overlay'), require('@angular/cdk/portal'), require('@angular/core'), require('rxjs'), require('rxjs/operators'), require('@angular/cdk/listbox')) :
+    typeof define === 'function' && define.amd ? define('@angular/cdk/combobox', ['exports', '@angular/cdk/bidi', '@angular/cdk/coercion', '@angular/cdk/keycodes', '@angular/cdk/overlay', '@angular/cdk/portal', '@angular/core', 'rxjs', 'rxjs/operators', '@angular/cdk/listbox'], factory) :
+    (global = global || self, factory((global.ng = global.ng || {}, global.ng.cdk = global.ng.cdk || {}, global.ng.cdk.combobox = {}), global.ng.cdk.bidi, global.ng.cdk.coercion, global.ng.cdk.keycodes, global.ng.cdk.overlay, global.ng.cdk.portal, global.ng.core, global.rxjs, global.rxjs.operators, global.ng.cdk.listbox));
+}(this, (function (exports, bidi, coercion, keycodes, overlay, portal, core, rxjs, operators, listbox) { 'use strict';
+
+    /**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+    /** Positions of the popup of a combobox. */
+    var POPUP_POSITIONS = [
+        { originX: 'start', originY: 'bottom', overlayX: 'start', overlayY: 'top' },
+        { originX: 'start', originY: 'top', overlayX: 'start', overlayY: 'bottom' },
+        { originX: 'end', originY: 'bottom', overlayX: 'end', overlayY: 'top' },
+        { originX: 'end', originY: 'top', overlayX: 'end', overlayY: 'bottom' },
+    ];
+    /**
+     * Directive that turns an element into a combobox which opens a `cdkComboboxPanel` inside of an
+     * overlay. The content of the panel, e.g. a `cdkListbox`, hands its value back to the combobox
+     * through the panel. Takes care of the `aria-expanded`, `aria-controls` and `aria-haspopup`
+     * attributes of the combobox.
+     */
+    var CdkCombobox = /** @class */ (function () {
+        function CdkCombobox(_elementRef, _overlay, _viewContainerRef, _directionality) {
+            this._elementRef = _elementRef;
+            this._overlay = _overlay;
+            this._viewContainerRef = _viewContainerRef;
+            this._directionality = _directionality;
+            this._panel = null;
+            /** Value of the combobox. */
+            this.value = null;
+            this._disabled = false;
+            this._openActions = ['click'];
+            this._autoSetText = true;
+            /** Emits when the popup is opened. */
+            this.opened = new core.EventEmitter();
+            /** Emits when the popup is closed. */
+            this.closed = new core.EventEmitter();
+            /** Emits the values of the combobox when they are changed by the content of the popup. */
+            this.panelValueChanged = new core.EventEmitter();
+            /** Reference to the overlay that renders the popup. */
+            this._overlayRef = null;
+            /** Portal used to render the content of the panel. */
+            this._panelContent = null;
+            /** Whether the combobox is being focused programmatically and shouldn't open on focus. */
+            this._isRestoringFocus = false;
+            /** Emits when the panel of the combobox changes. */
+            this._panelChanged = new rxjs.Subject();
+            /** Emits when the popup is closed. */
+            this._popupClosed = new rxjs.Subject();
+            /** Emits when the combobox is destroyed. */
+            this._destroyed = new rxjs.Subject();
+        }
+        Object.defineProperty(CdkCombobox.prototype, "panel", {
+            /** Panel that is opened by the combobox. */
+            get: function () { return this._panel; },
+            set: function (panel) {
+                if (panel !== this._panel) {
+                    this.close();
+                    this._panelChanged.next();
+                    this._panel = panel;
+                    if (panel) {
+                        this._subscribeToPanel(panel);
+                    }
+                }
+            },
+            enumerable: false,
+            configurable: true
+        });
+        Object.defineProperty(CdkCombobox.prototype, "disabled", {
+            /** Whether the combobox is disabled. */
+            get: function () { return this._disabled; },
+            set: function (value) {
+                this._disabled = coercion.coerceBooleanProperty(value);
+            },
+            enumerable: false,
+            configurable: true
+        });
+        Object.defineProperty(CdkCombobox.prototype, "openActions", {
+            /** Interactions that open the popup. */
+            get: function () { return this._openActions; },
+            set: function (action) {
+                this._openActions = this._coerceOpenActionProperty(action);
+            },
+            enumerable: false,
+            configurable: true
+        });
+        Object.defineProperty(CdkCombobox.prototype, "autoSetText", {
+            /**
+             * Whether the text of the combobox should be updated when its value changes.
+             * Only applies to comboboxes that are `input` elements.
+             */
+            get: function () { return this._autoSetText; },
+            set: function (value) {
+                this._autoSetText = coercion.coerceBooleanProperty(value);
+            },
+            enumerable: false,
+            configurable: true
+        });
+        CdkCombobox.prototype.ngOnDestroy = function () {
+            if (this._overlayRef) {
+                this._overlayRef.dispose();
+                this._overlayRef = null;
+            }
+            this._panelChanged.complete();
+            this._popupClosed.complete();
+            this._destroyed.next();
+            this._destroyed.complete();
+        };
+        /** Whether the popup is open. */
+        CdkCombobox.prototype.isOpen = function () {
+            return !!this._overlayRef && this._overlayRef.hasAttached();
+        };
+        /** Toggles the open state of the popup. */
+        CdkCombobox.prototype.toggle = function () {
+            this.isOpen() ? this.close() : this.open();
+        };
+        /** Opens the popup. */
+        CdkCombobox.prototype.open = function () {
+            var panel = this._panel;
+            if (this.disabled || !panel || this.isOpen()) {
+                return;
+            }
+            if (!this._overlayRef) {
+                this._overlayRef = this._overlay.create(this._getOverlayConfig());
+            }
+            else {
+                // The size of the combobox may have changed since the last time the popup was opened.
+                this._overlayRef.updateSize({ minWidth: this._getOverlayMinWidth() });
+            }
+            if (!this._panelContent || this._panelContent.templateRef !== panel._templateRef) {
+                this._panelContent = new portal.TemplatePortal(panel._templateRef, this._viewContainerRef);
+            }
+            panel._reset();
+            this._overlayRef.attach(this._panelContent);
+            this._subscribeToOutsideClicks();
+            this.opened.next();
+        };
+        /** Closes the popup. */
+        CdkCombobox.prototype.close = function () {
+            if (this.isOpen()) {
+                this._popupClosed.next();
+                this._overlayRef.detach();
+                this.closed.next();
+            }
+        };
+        /** Handles the interactions which can open the popup. */
+        CdkCombobox.prototype._handleInteractions = function (interaction) {
+            if (interaction === 'focus' && this._isRestoringFocus) {
+                return;
+            }
+            if (interaction === 'click' && this._openActions.indexOf('toggle') > -1) {
+                this.toggle();
+            }
+            else if (this._openActions.indexOf(interaction) > -1) {
+                this.open();
+            }
+        };
+        /** Handles keyboard events on the combobox. */
+        CdkCombobox.prototype._keydown = function (event) {
+            if (keycodes.hasModifierKey(event)) {
+                return;
+            }
+            var panel = this._panel;
+            switch (event.keyCode) {
+                case keycodes.DOWN_ARROW:
+                    if (this.isOpen() || this._openActions.indexOf('downKey') > -1) {
+                        event.preventDefault();
+                        this.open();
+                        if (panel && this.isOpen()) {
+                            panel.focusContent();
+                        }
+                    }
+                    break;
+                case keycodes.ENTER:
+                    // Prevent the default action so that buttons don't dispatch a click event as well.
+                    if (this._openActions.indexOf('toggle') > -1) {
+                        event.preventDefault();
+                        this.toggle();
+                    }
+                    else if (this._openActions.indexOf('click') > -1 && !this.isOpen()) {
+                        event.preventDefault();
+                        this.open();
+                    }
+                    break;
+                case keycodes.ESCAPE:
+                    if (this.isOpen()) {
+                        event.preventDefault();
+                        this.close();
+                    }
+                    break;
+                case keycodes.TAB:
+                    this.close();
+                    break;
+            }
+        };
+        /** Gets the ID of the element that the combobox controls, if the popup is open. */
+        CdkCombobox.prototype._getControlledId = function () {
+            return this.isOpen() && this._panel && this._panel.contentId ? this._panel.contentId : null;
+        };
+        /** Gets the type of the popup of the combobox. */
+        CdkCombobox.prototype._getPopupType = function () {
+            return this._panel ? this._panel.contentType : null;
+        };
+        /** Gets the tabindex of the combobox. */
+        CdkCombobox.prototype._getTabIndex = function () {
+            return this.disabled ? null : '0';
+        };
+        /** Updates the value of the combobox, and the text of the combobox if necessary. */
+        CdkCombobox.prototype._setComboboxValue = function (value) {
+            var valueChanged = this.value !== value;
+            this.value = value;
+            if (valueChanged) {
+                this.panelValueChanged.emit(coercion.coerceArray(value));
+                if (this._autoSetText) {
+                    this._setTextContent();
+                }
+            }
+        };
+        /** Updates the text of an input element based on the value of the combobox. */
+        CdkCombobox.prototype._setTextContent = function () {
+            var element = this._elementRef.nativeElement;
+            if (element.nodeName.toLowerCase() === 'input') {
+                var values = this.value == null ? [] : coercion.coerceArray(this.value);
+                element.value = values.join(', ');
+            }
+        };
+        /** Moves focus back to the combobox without opening the popup. */
+        CdkCombobox.prototype._restoreFocus = function () {
+            this._isRestoringFocus = true;
+            this._elementRef.nativeElement.focus();
+            this._isRestoringFocus = false;
+        };
+        /** Listens for the events through which the content of the panel talks to the combobox. */
+        CdkCombobox.prototype._subscribeToPanel = function (panel) {
+            var _this = this;
+            var stop = rxjs.merge(this._panelChanged, this._destroyed);
+            panel.valueUpdated.pipe(operators.takeUntil(stop)).subscribe(function (value) { return _this._setComboboxValue(value); });
+            panel.closeRequested.pipe(operators.takeUntil(stop)).subscribe(function () {
+                if (_this.isOpen()) {
+                    _this.close();
+                    _this._restoreFocus();
+                }
+            });
+        };
+        /** Closes the popup when the user clicks outside of it and the combobox. */
+        CdkCombobox.prototype._subscribeToOutsideClicks = function () {
+            var _this = this;
+            this._overlayRef.outsidePointerEvents()
+                .pipe(operators.takeUntil(rxjs.merge(this._popupClosed, this._destroyed)))
+                .subscribe(function (event) {
+                if (!_this._elementRef.nativeElement.contains(event.target)) {
+                    _this.close();
+                }
+            });
+        };
+        /** Gets the configuration for the overlay that renders the popup. */
+        CdkCombobox.prototype._getOverlayConfig = function () {
+            return new overlay.OverlayConfig({
+                positionStrategy: this._getOverlayPositionStrategy(),
+                scrollStrategy: this._overlay.scrollStrategies.reposition(),
+                direction: this._directionality,
+                minWidth: this._getOverlayMinWidth(),
+            });
+        };
+        /** Gets the strategy that positions the popup next to the combobox. */
+        CdkCombobox.prototype._getOverlayPositionStrategy = function () {
+            return this._overlay.position()
+                .flexibleConnectedTo(this._elementRef)
+                .withPositions(POPUP_POSITIONS);
+        };
+        /** Gets the minimum width of the popup so that it's at least as wide as the combobox. */
+        CdkCombobox.prototype._getOverlayMinWidth = function () {
+            return this._elementRef.nativeElement.getBoundingClientRect().width;
+        };
+        /** Coerces the open actions into an array of valid actions. */
+        CdkCombobox.prototype._coerceOpenActionProperty = function (input) {
+            var actions = typeof input === 'string' ? input.trim().split(/[ ,]+/) : input;
+            if ((typeof ngDevMode === 'undefined' || ngDevMode) && actions &&
+                actions.some(function (a) { return ['focus', 'click', 'downKey', 'toggle'].indexOf(a) === -1; })) {
+                throw Error(input + " is not a supported open action for CdkCombobox");
+            }
+            return (actions || []);
+        };
+        return CdkCombobox;
+    }());
+    CdkCombobox.decorators = [
+        { type: core.Directive, args: [{
+                    selector: '[cdkCombobox]',
+                    exportAs: 'cdkCombobox',
+                    host: {
+                        'role': 'combobox',
+                        'class': 'cdk-combobox',
+                        '(click)': '_handleInteractions("click")',
+                        '(focus)': '_handleInteractions("focus")',
+                        '(keydown)': '_keydown($event)',
+                        '[attr.aria-disabled]': 'disabled || null',
+                        '[attr.aria-controls]': '_getControlledId()',
+                        '[attr.aria-haspopup]': '_getPopupType()',
+                        '[attr.aria-expanded]': 'isOpen()',
+                        '[attr.tabindex]': '_getTabIndex()',
+                    },
+                },] }
+    ];
+    CdkCombobox.ctorParameters = function () { return [
+        { type: core.ElementRef },
+        { type: overlay.Overlay },
+        { type: core.ViewContainerRef },
+        { type: bidi.Directionality, decorators: [{ type: core.Optional }] }
+    ]; };
+    CdkCombobox.propDecorators = {
+        panel: [{ type: core.Input, args: ['cdkComboboxTriggerFor',] }],
+        value: [{ type: core.Input, args: ['cdkComboboxValue',] }],
+        disabled: [{ type: core.Input, args: ['cdkComboboxDisabled',] }],
+        openActions: [{ type: core.Input, args: ['cdkComboboxOpenActions',] }],
+        autoSetText: [{ type: core.Input, args: ['cdkComboboxAutoSetText',] }],
+        opened: [{ type: core.Output, args: ['cdkComboboxOpened',] }],
+        closed: [{ type: core.Output, args: ['cdkComboboxClosed',] }],
+        panelValueChanged: [{ type: core.Output, args: ['cdkComboboxPanelValueChanged',] }]
+    };
+
+    /**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+    /**
+     * Directive applied to an ng-template which holds the popup content of a combobox. The content
+     * is rendered inside of an overlay once the combobox that references the panel is opened, and
+     * uses the panel to hand its value back to the combobox.
+     */
+    var CdkComboboxPanel = /** @class */ (function () {
+        function CdkComboboxPanel(_templateRef) {
+            this._templateRef = _templateRef;
+            /** Emits when the content of the panel has updated the value of the combobox. */
+            this.valueUpdated = new rxjs.Subject();
+            /** Emits when the content of the panel has asked for the panel to be closed. */
+            this.closeRequested = new rxjs.Subject();
+            /** Type of the content of the panel, used for the `aria-haspopup` attribute of the combobox. */
+            this.contentType = 'listbox';
+            /** ID of the element that renders the content of the panel, if it is open. */
+            this.contentId = '';
+            /** Element that renders the content of the panel, if it is open. */
+            this._contentElement = null;
+            /** Whether the content should be focused as soon as it is registered. */
+            this._focusContentOnRegister = false;
+        }
+        /**
+         * Updates the value of the combobox without closing the panel.
+         * @param data Value that should be passed to the combobox.
+         */
+        CdkComboboxPanel.prototype.updateValue = function (data) {
+            this.valueUpdated.next(data);
+        };
+        /**
+         * Closes the panel, optionally updating the value of the combobox.
+         * @param data Value that should be passed to the combobox before closing.
+         */
+        CdkComboboxPanel.prototype.closePanel = function (data) {
+            if (data !== undefined) {
+                this.updateValue(data);
+            }
+            this.closeRequested.next();
+        };
+        /** Moves focus to the content of the panel, or once it is rendered if it isn't yet. */
+        CdkComboboxPanel.prototype.focusContent = function () {
+            if (this._contentElement) {
+                this._contentElement.focus();
+            }
+            else {
+                this._focusContentOnRegister = true;
+            }
+        };
+        /**
+         * Registers the element that renders the content of the panel.
+         * @param element Element that renders the content.
+         * @param id ID of the element.
+         * @param contentType Type of the content, if it differs from the panel's type.
+         * @docs-private
+         */
+        CdkComboboxPanel.prototype._registerContent = function (element, id, contentType) {
+            this._contentElement = element;
+            this.contentId = id;
+            if (contentType) {
+                this.contentType = contentType;
+            }
+            if (this._focusContentOnRegister) {
+                this._focusContentOnRegister = false;
+                element.focus();
+            }
+        };
+        /**
+         * Removes the reference to the content of the panel once it is destroyed.
+         * @docs-private
+         */
+        CdkComboboxPanel.prototype._unregisterContent = function (element) {
+            if (this._contentElement === element) {
+                this._contentElement = null;
+                this.contentId = '';
+            }
+        };
+        /**
+         * Resets the state that was tied to the most recent time the panel was opened.
+         * @docs-private
+         */
+        CdkComboboxPanel.prototype._reset = function () {
+            this._focusContentOnRegister = false;
+        };
+        return CdkComboboxPanel;
+    }());
+    CdkComboboxPanel.decorators = [
+        { type: core.Directive, args: [{
+                    selector: 'ng-template[cdkComboboxPanel]',
+                    exportAs: 'cdkComboboxPanel',
+                    providers: [{ provide: listbox.CDK_LISTBOX_PANEL, useExisting: CdkComboboxPanel }],
+                },] }
+    ];
+    CdkComboboxPanel.ctorParameters = function () { return [
+        { type: core.TemplateRef }
+    ]; };
+    CdkComboboxPanel.propDecorators = {
+        contentType: [{ type: core.Input, args: ['cdkComboboxPanelType',] }]
+    };
+
+    /**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+    /** Counter used to create unique IDs for combobox popups. */
+    var nextId = 0;
+    /**
+     * Directive that marks an element inside of a `cdkComboboxPanel` as the popup of the combobox.
+     * Can be used for popup content other than a `cdkListbox`, e.g. a dialog or a grid.
+     */
+    var CdkComboboxPopup = /** @class */ (function () {
+        function CdkComboboxPopup(_elementRef, _injectedPanel) {
+            this._elementRef = _elementRef;
+            this._injectedPanel = _injectedPanel;
+            /** Role of the popup. */
+            this.role = 'dialog';
+            /** Unique ID of the popup. */
+            this.id = "cdk-combobox-popup-" + nextId++;
+            /**
+             * Panel that the popup is rendered in. Only has to be set if the panel
+             * can't be injected, e.g. when the app is using View Engine.
+             */
+            this.panel = null;
+        }
+        CdkComboboxPopup.prototype.ngOnInit = function () {
+            var panel = this._getPanel();
+            if (panel) {
+                panel._registerContent(this._elementRef.nativeElement, this.id, this.role);
+            }
+        };
+        CdkComboboxPopup.prototype.ngOnDestroy = function () {
+            var panel = this._getPanel();
+            if (panel) {
+                panel._unregisterContent(this._elementRef.nativeElement);
+            }
+        };
+        /** Gets the panel that the popup is rendered in. */
+        CdkComboboxPopup.prototype._getPanel = function () {
+            return this._injectedPanel || this.panel;
+        };
+        return CdkComboboxPopup;
+    }());
+    CdkComboboxPopup.decorators = [
+        { type: core.Directive, args: [{
+                    selector: '[cdkComboboxPopup]',
+                    exportAs: 'cdkComboboxPopup',
+                    host: {
+                        'class': 'cdk-combobox-popup',
+                        'tabindex': '-1',
+                        '[attr.role]': 'role',
+                        '[id]': 'id',
+                    },
+                },] }
+    ];
+    CdkComboboxPopup.ctorParameters = function () { return [
+        { type: core.ElementRef },
+        { type: CdkComboboxPanel, decorators: [{ type: core.Optional }] }
+    ]; };
+    CdkComboboxPopup.propDecorators = {
+        role: [{ type: core.Input, args: ['cdkComboboxPopupRole',] }],
+        id: [{ type: core.Input }],
+        panel: [{ type: core.Input, args: ['cdkComboboxPanel',] }]
+    };
+
+    /**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+    var EXPORTED_DECLARATIONS = [CdkCombobox, CdkComboboxPanel, CdkComboboxPopup];
+    var CdkComboboxModule = /** @class */ (function () {
+        function CdkComboboxModule() {
+        }
+        return CdkComboboxModule;
+    }());
+    CdkComboboxModule.decorators = [
+        { type: core.NgModule, args: [{
+                    imports: [overlay.OverlayModule],
+                    exports: EXPORTED_DECLARATIONS,
+                    declarations: EXPORTED_DECLARATIONS,
+                },] }
+    ];
+
+    /**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+
+    /**
+     * Generated bundle index. Do not edit.
+     */
+
+    exports.CdkCombobox = CdkCombobox;
+    exports.CdkComboboxModule = CdkComboboxModule;
+    exports.CdkComboboxPanel = CdkComboboxPanel;
+    exports.CdkComboboxPopup = CdkComboboxPopup;
+
+    Object.defineProperty(exports, '__esModule', { value: true });
+
+})));
+//# sourceMappingURL=cdk-combobox.umd.js.map
@@ -0,0 +1,40 @@
+!function(e,t){"object"==typeof exports&&"undefined"!=typeof module?t(exports,require("@angular/cdk/bidi"),require("@angular/cdk/coercion"),require("@angular/cdk/keycodes"),require("@angular/cdk/overlay"),require("@angular/cdk/portal"),require("@angular/core"),require("rxjs"),require("rxjs/operators"),require("@angular/cdk/listbox")):"function"==typeof define&&define.amd?define("@angular/cdk/combobox",["exports","@angular/cdk/bidi","@angular/cdk/coercion","@angular/cdk/keycodes","@angular/cdk/overlay","@angular/cdk/portal","@angular/core","rxjs","rxjs/operators","@angular/cdk/listbox"],t):t(((e=e||self).ng=e.ng||{},e.ng.cdk=e.ng.cdk||{},e.ng.cdk.combobox={}),e.ng.cdk.bidi,e.ng.cdk.coercion,e.ng.cdk.keycodes,e.ng.cdk.overlay,e.ng.cdk.portal,e.ng.core,e.rxjs,e.rxjs.operators,e.ng.cdk.listbox)}(this,(function(e,t,o,n,i,r,s,a,l,p){"use strict";
+/**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */var c=[{originX:"start",originY:"bottom",overlayX:"start",overlayY:"top"},{originX:"start",originY:"top",overlayX:"start",overlayY:"bottom"},{originX:"end",originY:"bottom",overlayX:"end",overlayY:"top"},{originX:"end",originY:"top",overlayX:"end",overlayY:"bottom"}],u=function(){function e(e,t,o,n){this._elementRef=e,this._overlay=t,this._viewContainerRef=o,this._directionality=n,this._panel=null,this.value=null,this._disabled=!1,this._openActions=["click"],this._autoSetText=!0,this.opened=new s.EventEmitter,this.closed=new s.EventEmitter,this.panelValueChanged=new s.EventEmitter,this._overlayRef=null,this._panelContent=null,this._isRestoringFocus=!1,this._panelChanged=new a.Subject,this._popupClosed=new a.Subject,this._destroyed=new a.Subject}return Object.defineProperty(e.prototype,"panel",{get:function(){return this._panel},set:function(e){e!==this._panel&&(this.close(),this._panelChanged.next(),this._panel=e,e&&this._subscribeToPanel(e))},enumerable:!1,configurable:!0}),Object.defineProperty(e.prototype,"disabled",{get:function(){return this._disabled},set:function(e){this._disabled=o.coerceBooleanProperty(e)},enumerable:!1,configurable:!0}),Object.defineProperty(e.prototype,"openActions",{get:function(){return this._openActions},set:function(e){this._openActions=this._coerceOpenActionProperty(e)},enumerable:!1,configurable:!0}),Object.defineProperty(e.prototype,"autoSetText",{get:function(){return this._autoSetText},set:function(e){this._autoSetText=o.coerceBooleanProperty(e)},enumerable:!1,configurable:!0}),e.prototype.ngOnDestroy=function(){this._overlayRef&&(this._overlayRef.dispose(),this._overlayRef=null),this._panelChanged.complete(),this._popupClosed.complete(),this._destroyed.next(),this._destroyed.complete()},e.prototype.isOpen=function(){return!!this._overlayRef&&this._overlayRef.hasAttached()},e.prototype.toggle=function(){this.isOpen()?this.close():this.open()},e.prototype.open=function(){var e=this._panel;this.disabled||!e||this.isOpen()||(this._overlayRef?this._overlayRef.updateSize({minWidth:this._getOverlayMinWidth()}):this._overlayRef=this._overlay.create(this._getOverlayConfig()),this._panelContent&&this._panelContent.templateRef===e._templateRef||(this._panelContent=new r.TemplatePortal(e._templateRef,this._viewContainerRef)),e._reset(),this._overlayRef.attach(this._panelContent),this._subscribeToOutsideClicks(),this.opened.next())},e.prototype.close=function(){this.isOpen()&&(this._popupClosed.next(),this._overlayRef.detach(),this.closed.next())},e.prototype._handleInteractions=function(e){"focus"===e&&this._isRestoringFocus||("click"===e&&this._openActions.indexOf("toggle")>-1?this.toggle():this._openActions.indexOf(e)>-1&&this.open())},e.prototype._keydown=function(e){if(!n.hasModifierKey(e)){var t=this._panel;switch(e.keyCode){case n.DOWN_ARROW:(this.isOpen()||this._openActions.indexOf("downKey")>-1)&&(e.preventDefault(),this.open(),t&&this.isOpen()&&t.focusContent());break;case n.ENTER:this._openActions.indexOf("toggle")>-1?(e.preventDefault(),this.toggle()):this._openActions.indexOf("click")>-1&&!this.isOpen()&&(e.preventDefault(),this.open());break;case n.ESCAPE:this.isOpen()&&(e.preventDefault(),this.close());break;case n.TAB:this.close()}}},e.prototype._getControlledId=function(){return this.isOpen()&&this._panel&&this._panel.contentId?this._panel.contentId:null},e.prototype._getPopupType=function(){return this._panel?this._panel.contentType:null},e.prototype._getTabIndex=function(){return this.disabled?null:"0"},e.prototype._setComboboxValue=function(e){var t=this.value!==e;this.value=e,t&&(this.panelValueChanged.emit(o.coerceArray(e)),this._autoSetText&&this._setTextContent())},e.prototype._setTextContent=function(){var e=this._elementRef.nativeElement;if("input"===e.nodeName.toLowerCase()){var t=null==this.value?[]:o.coerceArray(this.value);e.value=t.join(", ")}},e.prototype._restoreFocus=function(){this._isRestoringFocus=!0,this._elementRef.nativeElement.focus(),this._isRestoringFocus=!1},e.prototype._subscribeToPanel=function(e){var t=this,o=a.merge(this._panelChanged,this._destroyed);e.valueUpdated.pipe(l.takeUntil(o)).subscribe((function(e){return t._setComboboxValue(e)})),e.closeRequested.pipe(l.takeUntil(o)).subscribe((function(){t.isOpen()&&(t.close(),t._restoreFocus())}))},e.prototype._subscribeToOutsideClicks=function(){var e=this;this._overlayRef.outsidePointerEvents().pipe(l.takeUntil(a.merge(this._popupClosed,this._destroyed))).subscribe((function(t){e._elementRef.nativeElement.contains(t.target)||e.close()}))},e.prototype._getOverlayConfig=function(){return new i.OverlayConfig({positionStrategy:this._getOverlayPositionStrategy(),scrollStrategy:this._overlay.scrollStrategies.reposition(),direction:this._directionality,minWidth:this._getOverlayMinWidth()})},e.prototype._getOverlayPositionStrategy=function(){return this._overlay.position().flexibleConnectedTo(this._elementRef).withPositions(c)},e.prototype._getOverlayMinWidth=function(){return this._elementRef.nativeElement.getBoundingClientRect().width},e.prototype._coerceOpenActionProperty=function(e){return("string"==typeof e?e.trim().split(/[ ,]+/):e)||[]},e}();u.decorators=[{type:s.Directive,args:[{selector:"[cdkCombobox]",exportAs:"cdkCombobox",host:{role:"combobox",class:"cdk-combobox","(click)":'_handleInteractions("click")',"(focus)":'_handleInteractions("focus")',"(keydown)":"_keydown($event)","[attr.aria-disabled]":"disabled || null","[attr.aria-controls]":"_getControlledId()","[attr.aria-haspopup]":"_getPopupType()","[attr.aria-expanded]":"isOpen()","[attr.tabindex]":"_getTabIndex()"}}]}],u.ctorParameters=function(){return[{type:s.ElementRef},{type:i.Overlay},{type:s.ViewContainerRef},{type:t.Directionality,decorators:[{type:s.Optional}]}]},u.propDecorators={panel:[{type:s.Input,args:["cdkComboboxTriggerFor"]}],value:[{type:s.Input,args:["cdkComboboxValue"]}],disabled:[{type:s.Input,args:["cdkComboboxDisabled"]}],openActions:[{type:s.Input,args:["cdkComboboxOpenActions"]}],autoSetText:[{type:s.Input,args:["cdkComboboxAutoSetText"]}],opened:[{type:s.Output,args:["cdkComboboxOpened"]}],closed:[{type:s.Output,args:["cdkComboboxClosed"]}],panelValueChanged:[{type:s.Output,args:["cdkComboboxPanelValueChanged"]}]};
+/**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+var d=function(){function e(e){this._templateRef=e,this.valueUpdated=new a.Subject,this.closeRequested=new a.Subject,this.contentType="listbox",this.contentId="",this._contentElement=null,this._focusContentOnRegister=!1}return e.prototype.updateValue=function(e){this.valueUpdated.next(e)},e.prototype.closePanel=function(e){void 0!==e&&this.updateValue(e),this.closeRequested.next()},e.prototype.focusContent=function(){this._contentElement?this._contentElement.focus():this._focusContentOnRegister=!0},e.prototype._registerContent=function(e,t,o){this._contentElement=e,this.contentId=t,o&&(this.contentType=o),this._focusContentOnRegister&&(this._focusContentOnRegister=!1,e.focus())},e.prototype._unregisterContent=function(e){this._contentElement===e&&(this._contentElement=null,this.contentId="")},e.prototype._reset=function(){this._focusContentOnRegister=!1},e}();d.decorators=[{type:s.Directive,args:[{selector:"ng-template[cdkComboboxPanel]",exportAs:"cdkComboboxPanel",providers:[{provide:p.CDK_LISTBOX_PANEL,useExisting:d}]}]}],d.ctorParameters=function(){return[{type:s.TemplateRef}]},d.propDecorators={contentType:[{type:s.Input,args:["cdkComboboxPanelType"]}]};
+/**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+var h=0,y=function(){function e(e,t){this._elementRef=e,this._injectedPanel=t,this.role="dialog",this.id="cdk-combobox-popup-"+h++,this.panel=null}return e.prototype.ngOnInit=function(){var e=this._getPanel();e&&e._registerContent(this._elementRef.nativeElement,this.id,this.role)},e.prototype.ngOnDestroy=function(){var e=this._getPanel();e&&e._unregisterContent(this._elementRef.nativeElement)},e.prototype._getPanel=function(){return this._injectedPanel||this.panel},e}();y.decorators=[{type:s.Directive,args:[{selector:"[cdkComboboxPopup]",exportAs:"cdkComboboxPopup",host:{class:"cdk-combobox-popup",tabindex:"-1","[attr.role]":"role","[id]":"id"}}]}],y.ctorParameters=function(){return[{type:s.ElementRef},{type:d,decorators:[{type:s.Optional}]}]},y.propDecorators={role:[{type:s.Input,args:["cdkComboboxPopupRole"]}],id:[{type:s.Input}],panel:[{type:s.Input,args:["cdkComboboxPanel"]}]};
+/**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+var _,f=[u,d,y];(_=function _(){}).decorators=[{type:s.NgModule,args:[{imports:[i.OverlayModule],exports:f,declarations:f}]}],
+/**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+e.CdkCombobox=u,e.CdkComboboxModule=_,e.CdkComboboxPanel=d,e.CdkComboboxPopup=y,Object.defineProperty(e,"__esModule",{value:!0})}));
\ No newline at end of file
@@ -0,0 +1,984 @@
+(function (global, factory) {
+    typeof exports === 'object' && typeof module !== 'undefined' ? factory(exports, require('@angular/cdk/overlay'), require('@angular/cdk/portal'), require('@angular/core'), require('rxjs'), require('rxjs/operators'), require('@angular/cdk/a11y'), require('@angular/common'), require('@angular/cdk/keycodes')) :
+    typeof define === 'function' && define.amd ? define('@angular/cdk/dialog', ['exports', '@angular/cdk/overlay', '@angular/cdk/portal', '@angular/core', 'rxjs', 'rxjs/operators', '@angular/cdk/a11y', '@angular/common', '@angular/cdk/keycodes'], factory) :
+    (global = global || self, factory((global.ng = global.ng || {}, global.ng.cdk = global.ng.cdk || {}, global.ng.cdk.dialog = {}), global.ng.cdk.overlay, global.ng.cdk.portal, global.ng.core, global.rxjs, global.rxjs.operators, global.ng.cdk.a11y, global.ng.common, global.ng.cdk.keycodes));
+}(this, (function (exports, overlay, portal, core, rxjs, operators, a11y, common, keycodes) { 'use strict';
+
+    /**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+    /** Configuration for opening a dialog with the `Dialog` service. */
+    var DialogConfig = /** @class */ (function () {
+        function DialogConfig() {
+            /** The ARIA role of the dialog element. */
+            this.role = 'dialog';
+            /** Custom class or classes for the overlay pane. */
+            this.panelClass = '';
+            /** Whether the dialog has a backdrop. */
+            this.hasBackdrop = true;
+            /** Custom class or classes for the backdrop. */
+            this.backdropClass = '';
+            /** Whether the dialog can be closed by clicking on the backdrop or pressing escape. */
+            this.disableClose = false;
+            /** Width of the dialog. */
+            this.width = '';
+            /** Height of the dialog. */
+            this.height = '';
+            /** Data being injected into the child component. */
+            this.data = null;
+            /** ID of the element that describes the dialog. */
+            this.ariaDescribedBy = null;
+            /** ID of the element that labels the dialog. */
+            this.ariaLabelledBy = null;
+            /** Dialog label applied via `aria-label`. Takes precedence over `ariaLabelledBy`. */
+            this.ariaLabel = null;
+            /**
+             * Whether this is a modal dialog. Content outside of modal dialogs
+             * is hidden from assistive technology while the dialog is open.
+             */
+            this.ariaModal = true;
+            /**
+             * Where the dialog should focus on open. Can be one of the `AutoFocusTarget` values, a CSS
+             * selector of an element inside the dialog or a boolean. `true` is treated the same as
+             * `first-tabbable`, whereas `false` is treated the same as `dialog`.
+             */
+            this.autoFocus = 'first-tabbable';
+            /**
+             * Whether the dialog should restore focus to the previously-focused element upon closing.
+             * A CSS selector or an element can be passed in to restore focus to a different element.
+             */
+            this.restoreFocus = true;
+            /**
+             * Whether the dialog should close when the user goes backwards/forwards in history.
+             * Note that this usually doesn't include clicking on links (unless the user is using
+             * the `HashLocationStrategy`).
+             */
+            this.closeOnNavigation = true;
+        }
+        return DialogConfig;
+    }());
+
+    /*! *****************************************************************************
+    Copyright (c) Microsoft Corporation.
+
+    Permission to use, copy, modify, and/or distribute this software for any
+    purpose with or without fee is hereby granted.
+
+    THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES WITH
+    REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF MERCHANTABILITY
+    AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY SPECIAL, DIRECT,
+    INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES WHATSOEVER RESULTING FROM
+    LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION OF CONTRACT, NEGLIGENCE OR
+    OTHER TORTIOUS ACTION, ARISING OUT OF OR IN CONNECTION WITH THE USE OR
+    PERFORMANCE OF THIS SOFTWARE.
+    ***************************************************************************** */
+    /* global Reflect, Promise */
+    var extendStatics = function (d, b) {
+        extendStatics = Object.setPrototypeOf ||
+            ({ __proto__: [] } instanceof Array && function (d, b) { d.__proto__ = b; }) ||
+            function (d, b) { for (var p in b)
+                if (Object.prototype.hasOwnProperty.call(b, p))
+                    d[p] = b[p]; };
+        return extendStatics(d, b);
+    };
+    function __extends(d, b) {
+        if (typeof b !== "function" && b !== null)
+            throw new TypeError("Class extends value " + String(b) + " is not a constructor or null");
+        extendStatics(d, b);
+        function __() { this.constructor = d; }
+        d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
+    }
+    var __assign = function () {
+        __assign = Object.assign || function __assign(t) {
+            for (var s, i = 1, n = arguments.length; i < n; i++) {
+                s = arguments[i];
+                for (var p in s)
+                    if (Object.prototype.hasOwnProperty.call(s, p))
+                        t[p] = s[p];
+            }
+            return t;
+        };
+        return __assign.apply(this, arguments);
+    };
+    function __rest(s, e) {
+        var t = {};
+        for (var p in s)
+            if (Object.prototype.hasOwnProperty.call(s, p) && e.indexOf(p) < 0)
+                t[p] = s[p];
+        if (s != null && typeof Object.getOwnPropertySymbols === "function")
+            for (var i = 0, p = Object.getOwnPropertySymbols(s); i < p.length; i++) {
+                if (e.indexOf(p[i]) < 0 && Object.prototype.propertyIsEnumerable.call(s, p[i]))
+                    t[p[i]] = s[p[i]];
+            }
+        return t;
+    }
+    function __decorate(decorators, target, key, desc) {
+        var c = arguments.length, r = c < 3 ? target : desc === null ? desc = Object.getOwnPropertyDescriptor(target, key) : desc, d;
+        if (typeof Reflect === "object" && typeof Reflect.decorate === "function")
+            r = Reflect.decorate(decorators, target, key, desc);
+        else
+            for (var i = decorators.length - 1; i >= 0; i--)
+                if (d = decorators[i])
+                    r = (c < 3 ? d(r) : c > 3 ? d(target, key, r) : d(target, key)) || r;
+        return c > 3 && r && Object.defineProperty(target, key, r), r;
+    }
+    function __param(paramIndex, decorator) {
+        return function (target, key) { decorator(target, key, paramIndex); };
+    }
+    function __metadata(metadataKey, metadataValue) {
+        if (typeof Reflect === "object" && typeof Reflect.metadata === "function")
+            return Reflect.metadata(metadataKey, metadataValue);
+    }
+    function __awaiter(thisArg, _arguments, P, generator) {
+        function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+        return new (P || (P = Promise))(function (resolve, reject) {
+            function fulfilled(value) { try {
+                step(generator.next(value));
+            }
+            catch (e) {
+                reject(e);
+            } }
+            function rejected(value) { try {
+                step(generator["throw"](value));
+            }
+            catch (e) {
+                reject(e);
+            } }
+            function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+            step((generator = generator.apply(thisArg, _arguments || [])).next());
+        });
+    }
+    function __generator(thisArg, body) {
+        var _ = { label: 0, sent: function () { if (t[0] & 1)
+                throw t[1]; return t[1]; }, trys: [], ops: [] }, f, y, t, g;
+        return g = { next: verb(0), "throw": verb(1), "return": verb(2) }, typeof Symbol === "function" && (g[Symbol.iterator] = function () { return this; }), g;
+        function verb(n) { return function (v) { return step([n, v]); }; }
+        function step(op) {
+            if (f)
+                throw new TypeError("Generator is already executing.");
+            while (_)
+                try {
+                    if (f = 1, y && (t = op[0] & 2 ? y["return"] : op[0] ? y["throw"] || ((t = y["return"]) && t.call(y), 0) : y.next) && !(t = t.call(y, op[1])).done)
+                        return t;
+                    if (y = 0, t)
+                        op = [op[0] & 2, t.value];
+                    switch (op[0]) {
+                        case 0:
+                        case 1:
+                            t = op;
+                            break;
+                        case 4:
+                            _.label++;
+                            return { value: op[1], done: false };
+                        case 5:
+                            _.label++;
+                            y = op[1];
+                            op = [0];
+                            continue;
+                        case 7:
+                            op = _.ops.pop();
+                            _.trys.pop();
+                            continue;
+                        default:
+                            if (!(t = _.trys, t = t.length > 0 && t[t.length - 1]) && (op[0] === 6 || op[0] === 2)) {
+                                _ = 0;
+                                continue;
+                            }
+                            if (op[0] === 3 && (!t || (op[1] > t[0] && op[1] < t[3]))) {
+                                _.label = op[1];
+                                break;
+                            }
+                            if (op[0] === 6 && _.label < t[1]) {
+                                _.label = t[1];
+                                t = op;
+                                break;
+                            }
+                            if (t && _.label < t[2]) {
+                                _.label = t[2];
+                                _.ops.push(op);
+                                break;
+                            }
+                            if (t[2])
+                                _.ops.pop();
+                            _.trys.pop();
+                            continue;
+                    }
+                    op = body.call(thisArg, _);
+                }
+                catch (e) {
+                    op = [6, e];
+                    y = 0;
+                }
+                finally {
+                    f = t = 0;
+                }
+            if (op[0] & 5)
+                throw op[1];
+            return { value: op[0] ? op[1] : void 0, done: true };
+        }
+    }
+    var __createBinding = Object.create ? (function (o, m, k, k2) {
+        if (k2 === undefined)
+            k2 = k;
+        Object.defineProperty(o, k2, { enumerable: true, get: function () { return m[k]; } });
+    }) : (function (o, m, k, k2) {
+        if (k2 === undefined)
+            k2 = k;
+        o[k2] = m[k];
+    });
+    function __exportStar(m, o) {
+        for (var p in m)
+            if (p !== "default" && !Object.prototype.hasOwnProperty.call(o, p))
+                __createBinding(o, m, p);
+    }
+    function __values(o) {
+        var s = typeof Symbol === "function" && Symbol.iterator, m = s && o[s], i = 0;
+        if (m)
+            return m.call(o);
+        if (o && typeof o.length === "number")
+            return {
+                next: function () {
+                    if (o && i >= o.length)
+                        o = void 0;
+                    return { value: o && o[i++], done: !o };
+                }
+            };
+        throw new TypeError(s ? "Object is not iterable." : "Symbol.iterator is not defined.");
+    }
+    function __read(o, n) {
+        var m = typeof Symbol === "function" && o[Symbol.iterator];
+        if (!m)
+            return o;
+        var i = m.call(o), r, ar = [], e;
+        try {
+            while ((n === void 0 || n-- > 0) && !(r = i.next()).done)
+                ar.push(r.value);
+        }
+        catch (error) {
+            e = { error: error };
+        }
+        finally {
+            try {
+                if (r && !r.done && (m = i["return"]))
+                    m.call(i);
+            }
+            finally {
+                if (e)
+                    throw e.error;
+            }
+        }
+        return ar;
+    }
+    /** @deprecated */
+    function __spread() {
+        for (var ar = [], i = 0; i < arguments.length; i++)
+            ar = ar.concat(__read(arguments[i]));
+        return ar;
+    }
+    /** @deprecated */
+    function __spreadArrays() {
+        for (var s = 0, i = 0, il = arguments.length; i < il; i++)
+            s += arguments[i].length;
+        for (var r = Array(s), k = 0, i = 0; i < il; i++)
+            for (var a = arguments[i], j = 0, jl = a.length; j < jl; j++, k++)
+                r[k] = a[j];
+        return r;
+    }
+    function __spreadArray(to, from) {
+        for (var i = 0, il = from.length, j = to.length; i < il; i++, j++)
+            to[j] = from[i];
+        return to;
+    }
+    function __await(v) {
+        return this instanceof __await ? (this.v = v, this) : new __await(v);
+    }
+    function __asyncGenerator(thisArg, _arguments, generator) {
+        if (!Symbol.asyncIterator)
+            throw new TypeError("Symbol.asyncIterator is not defined.");
+        var g = generator.apply(thisArg, _arguments || []), i, q = [];
+        return i = {}, verb("next"), verb("throw"), verb("return"), i[Symbol.asyncIterator] = function () { return this; }, i;
+        function verb(n) { if (g[n])
+            i[n] = function (v) { return new Promise(function (a, b) { q.push([n, v, a, b]) > 1 || resume(n, v); }); }; }
+        function resume(n, v) { try {
+            step(g[n](v));
+        }
+        catch (e) {
+            settle(q[0][3], e);
+        } }
+        function step(r) { r.value instanceof __await ? Promise.resolve(r.value.v).then(fulfill, reject) : settle(q[0][2], r); }
+        function fulfill(value) { resume("next", value); }
+        function reject(value) { resume("throw", value); }
+        function settle(f, v) { if (f(v), q.shift(), q.length)
+            resume(q[0][0], q[0][1]); }
+    }
+    function __asyncDelegator(o) {
+        var i, p;
+        return i = {}, verb("next"), verb("throw", function (e) { throw e; }), verb("return"), i[Symbol.iterator] = function () { return this; }, i;
+        function verb(n, f) { i[n] = o[n] ? function (v) { return (p = !p) ? { value: __await(o[n](v)), done: n === "return" } : f ? f(v) : v; } : f; }
+    }
+    function __asyncValues(o) {
+        if (!Symbol.asyncIterator)
+            throw new TypeError("Symbol.asyncIterator is not defined.");
+        var m = o[Symbol.asyncIterator], i;
+        return m ? m.call(o) : (o = typeof __values === "function" ? __values(o) : o[Symbol.iterator](), i = {}, verb("next"), verb("throw"), verb("return"), i[Symbol.asyncIterator] = function () { return this; }, i);
+        function verb(n) { i[n] = o[n] && function (v) { return new Promise(function (resolve, reject) { v = o[n](v), settle(resolve, reject, v.done, v.value); }); }; }
+        function settle(resolve, reject, d, v) { Promise.resolve(v).then(function (v) { resolve({ value: v, done: d }); }, reject); }
+    }
+    function __makeTemplateObject(cooked, raw) {
+        if (Object.defineProperty) {
+            Object.defineProperty(cooked, "raw", { value: raw });
+        }
+        else {
+            cooked.raw = raw;
+        }
+        return cooked;
+    }
+    ;
+    var __setModuleDefault = Object.create ? (function (o, v) {
+        Object.defineProperty(o, "default", { enumerable: true, value: v });
+    }) : function (o, v) {
+        o["default"] = v;
+    };
+    function __importStar(mod) {
+        if (mod && mod.__esModule)
+            return mod;
+        var result = {};
+        if (mod != null)
+            for (var k in mod)
+                if (k !== "default" && Object.prototype.hasOwnProperty.call(mod, k))
+                    __createBinding(result, mod, k);
+        __setModuleDefault(result, mod);
+        return result;
+    }
+    function __importDefault(mod) {
+        return (mod && mod.__esModule) ? mod : { default: mod };
+    }
+    function __classPrivateFieldGet(receiver, privateMap) {
+        if (!privateMap.has(receiver)) {
+            throw new TypeError("attempted to get private field on non-instance");
+        }
+        return privateMap.get(receiver);
+    }
+    function __classPrivateFieldSet(receiver, privateMap, value) {
+        if (!privateMap.has(receiver)) {
+            throw new TypeError("attempted to set private field on non-instance");
+        }
+        privateMap.set(receiver, value);
+        return value;
+    }
+
+    /**
+     * Throws an exception for the case when a dialog container is used
+     * to attach more than one piece of content.
+     * @docs-private
+     */
+    function throwDialogContentAlreadyAttachedError() {
+        throw Error('Attempting to attach dialog content after content is already attached');
+    }
+    /**
+     * Internal component that wraps the content of a dialog opened through the `Dialog` service.
+     * It doesn't have any styles of its own, but it manages the dialog's ARIA attributes and focus.
+     * @docs-private
+     */
+    var CdkDialogContainer = /** @class */ (function (_super) {
+        __extends(CdkDialogContainer, _super);
+        function CdkDialogContainer(_elementRef, _focusTrapFactory, _document, 
+        /** The dialog configuration. */
+        _config) {
+            var _this = _super.call(this) || this;
+            _this._elementRef = _elementRef;
+            _this._focusTrapFactory = _focusTrapFactory;
+            _this._document = _document;
+            _this._config = _config;
+            /** Element that was focused before the dialog was opened. Used to restore focus on close. */
+            _this._elementFocusedBeforeDialogWasOpened = null;
+            return _this;
+        }
+        CdkDialogContainer.prototype.ngOnDestroy = function () {
+            this._restoreFocus();
+        };
+        /**
+         * Attach a ComponentPortal as content to this dialog container.
+         * @param portal Portal to be attached as the dialog content.
+         */
+        CdkDialogContainer.prototype.attachComponentPortal = function (portal) {
+            if (this._portalOutlet.hasAttached() && (typeof ngDevMode === 'undefined' || ngDevMode)) {
+                throwDialogContentAlreadyAttachedError();
+            }
+            var result = this._portalOutlet.attachComponentPortal(portal);
+            this._contentAttached();
+            return result;
+        };
+        /**
+         * Attach a TemplatePortal as content to this dialog container.
+         * @param portal Portal to be attached as the dialog content.
+         */
+        CdkDialogContainer.prototype.attachTemplatePortal = function (portal) {
+            if (this._portalOutlet.hasAttached() && (typeof ngDevMode === 'undefined' || ngDevMode)) {
+                throwDialogContentAlreadyAttachedError();
+            }
+            var result = this._portalOutlet.attachTemplatePortal(portal);
+            this._contentAttached();
+            return result;
+        };
+        /**
+         * Attaches a DOM portal to the dialog container.
+         * @param portal Portal to be attached.
+         */
+        CdkDialogContainer.prototype.attachDomPortal = function (portal) {
+            if (this._portalOutlet.hasAttached() && (typeof ngDevMode === 'undefined' || ngDevMode)) {
+                throwDialogContentAlreadyAttachedError();
+            }
+            this._portalOutlet.attachDomPortal(portal);
+            this._contentAttached();
+        };
+        /** Sets up the focus management once the dialog's content has been attached. */
+        CdkDialogContainer.prototype._contentAttached = function () {
+            if (this._document) {
+                this._elementFocusedBeforeDialogWasOpened = this._document.activeElement;
+            }
+            this._focusTrap = this._focusTrapFactory.create(this._elementRef.nativeElement);
+            this._trapFocus();
+        };
+        /** Moves focus inside the dialog, based on the `autoFocus` option. */
+        CdkDialogContainer.prototype._trapFocus = function () {
+            var element = this._elementRef.nativeElement;
+            switch (this._config.autoFocus) {
+                case false:
+                case 'dialog':
+                    // Ensure that focus is on the dialog container. It's possible that a different
+                    // component tried to move focus while the content was being attached.
+                    if (!this._containsFocus()) {
+                        element.focus();
+                    }
+                    break;
+                case true:
+                case 'first-tabbable':
+                    this._focusTrap.focusInitialElementWhenReady().then(function (focusedSuccessfully) {
+                        // If we weren't able to find a focusable element in the dialog, then focus the dialog
+                        // container instead. This ensures that screen readers announce the dialog.
+                        if (!focusedSuccessfully) {
+                            element.focus();
+                        }
+                    });
+                    break;
+                case 'first-heading':
+                    this._focusByCssSelector('h1, h2, h3, h4, h5, h6, [role="heading"]');
+                    break;
+                default:
+                    this._focusByCssSelector(this._config.autoFocus);
+                    break;
+            }
+        };
+        /**
+         * Focuses the first element inside the dialog that matches a CSS selector,
+         * or the dialog container itself if no such element exists.
+         */
+        CdkDialogContainer.prototype._focusByCssSelector = function (selector) {
+            var element = this._elementRef.nativeElement;
+            var target = element.querySelector(selector);
+            if (target) {
+                // Elements that aren't focusable by default need a `tabindex` in order to receive focus.
+                if (!target.hasAttribute('tabindex') && target.tabIndex < 0) {
+                    target.tabIndex = -1;
+                }
+                target.focus();
+            }
+            else {
+                element.focus();
+            }
+        };
+        /** Restores focus to the element that was focused before the dialog was opened. */
+        CdkDialogContainer.prototype._restoreFocus = function () {
+            var focusConfig = this._config.restoreFocus;
+            var focusTargetElement = null;
+            if (typeof focusConfig === 'string') {
+                focusTargetElement = this._document && this._document.querySelector(focusConfig);
+            }
+            else if (typeof focusConfig === 'boolean') {
+                focusTargetElement = focusConfig ? this._elementFocusedBeforeDialogWasOpened : null;
+            }
+            else if (focusConfig) {
+                focusTargetElement = focusConfig;
+            }
+            // We need the extra check, because IE can set the `activeElement` to null in some cases.
+            if (focusTargetElement && typeof focusTargetElement.focus === 'function') {
+                var activeElement = this._document && this._document.activeElement;
+                var element = this._elementRef.nativeElement;
+                // Make sure that focus is still inside the dialog or is on the body (usually because a
+                // non-focusable element like the backdrop was clicked) before moving it. It's possible that
+                // the consumer moved it themselves before the dialog was closed in which case we shouldn't
+                // move it, because it'll be jarring for the user.
+                if (!activeElement || activeElement === this._document.body || activeElement === element ||
+                    element.contains(activeElement)) {
+                    focusTargetElement.focus();
+                }
+            }
+            if (this._focusTrap) {
+                this._focusTrap.destroy();
+            }
+            this._elementFocusedBeforeDialogWasOpened = null;
+        };
+        /** Returns whether focus is inside the dialog. */
+        CdkDialogContainer.prototype._containsFocus = function () {
+            var element = this._elementRef.nativeElement;
+            var activeElement = this._document && this._document.activeElement;
+            return element === activeElement || element.contains(activeElement);
+        };
+        return CdkDialogContainer;
+    }(portal.BasePortalOutlet));
+    CdkDialogContainer.decorators = [
+        { type: core.Component, args: [{
+                    selector: 'cdk-dialog-container',
+                    template: '<ng-template cdkPortalOutlet></ng-template>',
+                    encapsulation: core.ViewEncapsulation.None,
+                    // The dialog content is checked as a part of the container's view so it can't be `OnPush`.
+                    // tslint:disable-next-line:validate-decorators
+                    changeDetection: core.ChangeDetectionStrategy.Default,
+                    host: {
+                        'class': 'cdk-dialog-container',
+                        'tabindex': '-1',
+                        '[attr.id]': '_config.id || null',
+                        '[attr.role]': '_config.role',
+                        '[attr.aria-modal]': '_config.ariaModal',
+                        '[attr.aria-labelledby]': '_config.ariaLabel ? null : _config.ariaLabelledBy',
+                        '[attr.aria-label]': '_config.ariaLabel',
+                        '[attr.aria-describedby]': '_config.ariaDescribedBy || null',
+                    }
+                },] }
+    ];
+    CdkDialogContainer.ctorParameters = function () { return [
+        { type: core.ElementRef },
+        { type: a11y.ConfigurableFocusTrapFactory },
+        { type: undefined, decorators: [{ type: core.Optional }, { type: core.Inject, args: [common.DOCUMENT,] }] },
+        { type: DialogConfig }
+    ]; };
+    CdkDialogContainer.propDecorators = {
+        _portalOutlet: [{ type: core.ViewChild, args: [portal.CdkPortalOutlet, { static: true },] }]
+    };
+
+    /**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+    /** Injection token that can be used to access the data that was passed in to a dialog. */
+    var DIALOG_DATA = new core.InjectionToken('DialogData');
+    /** Injection token that can be used to specify default dialog options. */
+    var DEFAULT_DIALOG_CONFIG = new core.InjectionToken('DefaultDialogConfig');
+    /** Injection token that determines the scroll handling while a dialog is open. */
+    var DIALOG_SCROLL_STRATEGY = new core.InjectionToken('DialogScrollStrategy');
+    /** @docs-private */
+    function DIALOG_SCROLL_STRATEGY_PROVIDER_FACTORY(overlay) {
+        return function () { return overlay.scrollStrategies.block(); };
+    }
+    /** @docs-private */
+    var DIALOG_SCROLL_STRATEGY_PROVIDER = {
+        provide: DIALOG_SCROLL_STRATEGY,
+        deps: [overlay.Overlay],
+        useFactory: DIALOG_SCROLL_STRATEGY_PROVIDER_FACTORY,
+    };
+
+    /**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+    /** Reference to a dialog opened via the `Dialog` service. */
+    var DialogRef = /** @class */ (function () {
+        function DialogRef(
+        /** Reference to the overlay in which the dialog is rendered. */
+        overlayRef, 
+        /** Configuration that was used to open the dialog. */
+        config) {
+            var _this = this;
+            this.overlayRef = overlayRef;
+            this.config = config;
+            /** Instance of the component that is rendered inside the dialog. Null for template dialogs. */
+            this.componentInstance = null;
+            /** Subject for notifying the user that the dialog is about to close. */
+            this._beforeClosed = new rxjs.Subject();
+            /** Subject for notifying the user that the dialog has finished closing. */
+            this._afterClosed = new rxjs.Subject();
+            this.disableClose = config.disableClose;
+            this.id = config.id;
+            overlayRef.keydownEvents().subscribe(function (event) {
+                if (event.keyCode === keycodes.ESCAPE && !_this.disableClose && !keycodes.hasModifierKey(event)) {
+                    event.preventDefault();
+                    _this.close();
+                }
+            });
+            overlayRef.backdropClick().subscribe(function () {
+                if (!_this.disableClose) {
+                    _this.close();
+                }
+            });
+            // Note that the overlay can be detached without going through `close`,
+            // for example when it's disposed of because the user navigated away.
+            overlayRef.detachments().subscribe(function () {
+                _this._notifyBeforeClosed();
+                _this._afterClosed.next(_this._result);
+                _this._afterClosed.complete();
+                _this.componentInstance = null;
+                overlayRef.dispose();
+            });
+        }
+        /**
+         * Closes the dialog.
+         * @param result Optional result to return to the dialog opener.
+         */
+        DialogRef.prototype.close = function (result) {
+            if (this._afterClosed.isStopped) {
+                return;
+            }
+            this._result = result;
+            this._notifyBeforeClosed();
+            this.overlayRef.dispose();
+        };
+        /** Gets an observable that is notified when the dialog is about to be closed. */
+        DialogRef.prototype.beforeClosed = function () {
+            return this._beforeClosed;
+        };
+        /** Gets an observable that is notified with the dialog's result once it has been closed. */
+        DialogRef.prototype.afterClosed = function () {
+            return this._afterClosed;
+        };
+        /** Gets an observable that emits when the overlay's backdrop has been clicked. */
+        DialogRef.prototype.backdropClick = function () {
+            return this.overlayRef.backdropClick();
+        };
+        /** Gets an observable that emits when keydown events are targeted on the overlay. */
+        DialogRef.prototype.keydownEvents = function () {
+            return this.overlayRef.keydownEvents();
+        };
+        /** Updates the position of the dialog based on the current position strategy. */
+        DialogRef.prototype.updatePosition = function () {
+            this.overlayRef.updatePosition();
+            return this;
+        };
+        /**
+         * Updates the dialog's width and height.
+         * @param width New width of the dialog.
+         * @param height New height of the dialog.
+         */
+        DialogRef.prototype.updateSize = function (width, height) {
+            if (width === void 0) { width = ''; }
+            if (height === void 0) { height = ''; }
+            this.overlayRef.updateSize({ width: width, height: height });
+            this.overlayRef.updatePosition();
+            return this;
+        };
+        /** Adds a class to the dialog's overlay pane. */
+        DialogRef.prototype.addPanelClass = function (classes) {
+            this.overlayRef.addPanelClass(classes);
+            return this;
+        };
+        /** Removes a class from the dialog's overlay pane. */
+        DialogRef.prototype.removePanelClass = function (classes) {
+            this.overlayRef.removePanelClass(classes);
+            return this;
+        };
+        /** Emits the `beforeClosed` event, if it hasn't been emitted already. */
+        DialogRef.prototype._notifyBeforeClosed = function () {
+            if (!this._beforeClosed.isStopped) {
+                this._beforeClosed.next(this._result);
+                this._beforeClosed.complete();
+            }
+        };
+        return DialogRef;
+    }());
+
+    /**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+    /** Unique id for the created dialogs. */
+    var uniqueId = 0;
+    /**
+     * Service that can be used to open modal dialogs. The dialogs don't have any styles of their
+     * own, aside from the ones needed for the overlay, which makes them suitable for unstyled apps.
+     */
+    var Dialog = /** @class */ (function () {
+        function Dialog(_overlay, _injector, _defaultOptions, _parentDialog, _overlayContainer, scrollStrategy) {
+            var _this = this;
+            this._overlay = _overlay;
+            this._injector = _injector;
+            this._defaultOptions = _defaultOptions;
+            this._parentDialog = _parentDialog;
+            this._overlayContainer = _overlayContainer;
+            this._openDialogsAtThisLevel = [];
+            this._afterAllClosedAtThisLevel = new rxjs.Subject();
+            this._afterOpenedAtThisLevel = new rxjs.Subject();
+            this._ariaHiddenElements = new Map();
+            /**
+             * Stream that emits when all open dialogs have finished closing.
+             * Will emit on subscribe if there are no open dialogs to begin with.
+             */
+            this.afterAllClosed = rxjs.defer(function () { return _this.openDialogs.length ?
+                _this._getAfterAllClosed() :
+                _this._getAfterAllClosed().pipe(operators.startWith(undefined)); });
+            this._scrollStrategy = scrollStrategy;
+        }
+        Object.defineProperty(Dialog.prototype, "openDialogs", {
+            /** Keeps track of the currently-open dialogs. */
+            get: function () {
+                return this._parentDialog ? this._parentDialog.openDialogs : this._openDialogsAtThisLevel;
+            },
+            enumerable: false,
+            configurable: true
+        });
+        Object.defineProperty(Dialog.prototype, "afterOpened", {
+            /** Stream that emits when a dialog has been opened. */
+            get: function () {
+                return this._parentDialog ? this._parentDialog.afterOpened : this._afterOpenedAtThisLevel;
+            },
+            enumerable: false,
+            configurable: true
+        });
+        Dialog.prototype.open = function (componentOrTemplateRef, config) {
+            var _this = this;
+            config = Object.assign(Object.assign(Object.assign({}, new DialogConfig()), this._defaultOptions), config);
+            config.id = config.id || "cdk-dialog-" + uniqueId++;
+            if (this.getDialogById(config.id) && (typeof ngDevMode === 'undefined' || ngDevMode)) {
+                throw Error("Dialog with id \"" + config.id + "\" exists already. The dialog id must be unique.");
+            }
+            var overlayRef = this._overlay.create(this._getOverlayConfig(config));
+            var dialogRef = new DialogRef(overlayRef, config);
+            dialogRef.containerInstance = this._attachContainer(overlayRef, config);
+            this._attachDialogContent(componentOrTemplateRef, dialogRef, config);
+            // If this is the first modal dialog that we're opening, hide all the non-overlay content.
+            if (config.ariaModal && !this._ariaHiddenElements.size) {
+                this._hideNonDialogContentFromAssistiveTechnology();
+            }
+            this.openDialogs.push(dialogRef);
+            dialogRef.afterClosed().subscribe(function () { return _this._removeOpenDialog(dialogRef); });
+            this.afterOpened.next(dialogRef);
+            return dialogRef;
+        };
+        /** Closes all of the currently-open dialogs. */
+        Dialog.prototype.closeAll = function () {
+            this._closeDialogs(this.openDialogs);
+        };
+        /**
+         * Finds an open dialog by its id.
+         * @param id ID to use when looking up the dialog.
+         */
+        Dialog.prototype.getDialogById = function (id) {
+            return this.openDialogs.find(function (dialog) { return dialog.id === id; });
+        };
+        Dialog.prototype.ngOnDestroy = function () {
+            // Only close the dialogs at this level on destroy
+            // since the parent service may still be active.
+            this._closeDialogs(this._openDialogsAtThisLevel);
+            this._afterAllClosedAtThisLevel.complete();
+            this._afterOpenedAtThisLevel.complete();
+        };
+        /**
+         * Creates the overlay configuration for a dialog.
+         * @param config The dialog configuration.
+         * @returns The overlay configuration.
+         */
+        Dialog.prototype._getOverlayConfig = function (config) {
+            return new overlay.OverlayConfig({
+                positionStrategy: config.positionStrategy ||
+                    this._overlay.position().global().centerHorizontally().centerVertically(),
+                scrollStrategy: config.scrollStrategy || this._scrollStrategy(),
+                panelClass: config.panelClass,
+                hasBackdrop: config.hasBackdrop,
+                backdropClass: config.backdropClass,
+                direction: config.direction,
+                width: config.width,
+                height: config.height,
+                minWidth: config.minWidth,
+                minHeight: config.minHeight,
+                maxWidth: config.maxWidth,
+                maxHeight: config.maxHeight,
+                disposeOnNavigation: config.closeOnNavigation
+            });
+        };
+        /**
+         * Attaches a dialog container to an overlay.
+         * @param overlayRef Reference to the dialog's underlying overlay.
+         * @param config The dialog configuration.
+         * @returns The instance of the attached container.
+         */
+        Dialog.prototype._attachContainer = function (overlayRef, config) {
+            var injector = core.Injector.create({
+                parent: this._getParentInjector(config),
+                providers: [{ provide: DialogConfig, useValue: config }]
+            });
+            var containerPortal = new portal.ComponentPortal(CdkDialogContainer, config.viewContainerRef, injector, config.componentFactoryResolver);
+            var containerRef = overlayRef.attach(containerPortal);
+            return containerRef.instance;
+        };
+        /**
+         * Attaches the user-provided component or template to the already-created dialog container.
+         * @param componentOrTemplateRef The type of component being loaded into the dialog,
+         *     or a TemplateRef to instantiate as the content.
+         * @param dialogRef Reference to the dialog.
+         * @param config The dialog configuration.
+         */
+        Dialog.prototype._attachDialogContent = function (componentOrTemplateRef, dialogRef, config) {
+            var container = dialogRef.containerInstance;
+            if (componentOrTemplateRef instanceof core.TemplateRef) {
+                container.attachTemplatePortal(new portal.TemplatePortal(componentOrTemplateRef, null, { $implicit: config.data, dialogRef: dialogRef }));
+            }
+            else {
+                var injector = this._createInjector(config, dialogRef);
+                var contentRef = container.attachComponentPortal(new portal.ComponentPortal(componentOrTemplateRef, config.viewContainerRef, injector, config.componentFactoryResolver));
+                dialogRef.componentInstance = contentRef.instance;
+            }
+        };
+        /**
+         * Creates a custom injector to be used inside the dialog. This allows a component loaded inside
+         * of a dialog to close itself and, optionally, to return a value.
+         * @param config Config object that is used to construct the dialog.
+         * @param dialogRef Reference to the dialog.
+         * @returns The custom injector that can be used inside the dialog.
+         */
+        Dialog.prototype._createInjector = function (config, dialogRef) {
+            var providers = [
+                { provide: DIALOG_DATA, useValue: config.data },
+                { provide: DialogRef, useValue: dialogRef },
+                { provide: DialogConfig, useValue: config },
+            ];
+            return core.Injector.create({ parent: this._getParentInjector(config), providers: providers });
+        };
+        /** Gets the injector that should be used as the parent of the dialog's injectors. */
+        Dialog.prototype._getParentInjector = function (config) {
+            var viewContainerRef = config.viewContainerRef;
+            return config.injector || (viewContainerRef && viewContainerRef.injector) || this._injector;
+        };
+        /**
+         * Removes a dialog from the array of open dialogs.
+         * @param dialogRef Dialog to be removed.
+         */
+        Dialog.prototype._removeOpenDialog = function (dialogRef) {
+            var index = this.openDialogs.indexOf(dialogRef);
+            if (index > -1) {
+                this.openDialogs.splice(index, 1);
+                // If all the dialogs were closed, restore the `aria-hidden` of
+                // the siblings and emit to the `afterAllClosed` stream.
+                if (!this.openDialogs.length) {
+                    this._ariaHiddenElements.forEach(function (previousValue, element) {
+                        if (previousValue) {
+                            element.setAttribute('aria-hidden', previousValue);
+                        }
+                        else {
+                            element.removeAttribute('aria-hidden');
+                        }
+                    });
+                    this._ariaHiddenElements.clear();
+                    this._getAfterAllClosed().next();
+                }
+            }
+        };
+        /** Hides all of the content that isn't an overlay from assistive technology. */
+        Dialog.prototype._hideNonDialogContentFromAssistiveTechnology = function () {
+            var overlayContainer = this._overlayContainer.getContainerElement();
+            // Ensure that the overlay container is attached to the DOM.
+            if (overlayContainer.parentElement) {
+                var siblings = overlayContainer.parentElement.children;
+                for (var i = siblings.length - 1; i > -1; i--) {
+                    var sibling = siblings[i];
+                    if (sibling !== overlayContainer &&
+                        sibling.nodeName !== 'SCRIPT' &&
+                        sibling.nodeName !== 'STYLE' &&
+                        !sibling.hasAttribute('aria-live')) {
+                        this._ariaHiddenElements.set(sibling, sibling.getAttribute('aria-hidden'));
+                        sibling.setAttribute('aria-hidden', 'true');
+                    }
+                }
+            }
+        };
+        /** Closes all of the dialogs in an array. */
+        Dialog.prototype._closeDialogs = function (dialogs) {
+            var i = dialogs.length;
+            // Go backwards, because closing a dialog removes it from the array.
+            while (i--) {
+                dialogs[i].close();
+            }
+        };
+        /** Gets the `afterAllClosed` subject of the top-level dialog service. */
+        Dialog.prototype._getAfterAllClosed = function () {
+            var parent = this._parentDialog;
+            return parent ? parent._getAfterAllClosed() : this._afterAllClosedAtThisLevel;
+        };
+        return Dialog;
+    }());
+    Dialog.decorators = [
+        { type: core.Injectable }
+    ];
+    Dialog.ctorParameters = function () { return [
+        { type: overlay.Overlay },
+        { type: core.Injector },
+        { type: DialogConfig, decorators: [{ type: core.Optional }, { type: core.Inject, args: [DEFAULT_DIALOG_CONFIG,] }] },
+        { type: Dialog, decorators: [{ type: core.Optional }, { type: core.SkipSelf }] },
+        { type: overlay.OverlayContainer },
+        { type: undefined, decorators: [{ type: core.Inject, args: [DIALOG_SCROLL_STRATEGY,] }] }
+    ]; };
+
+    /**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+    var DialogModule = /** @class */ (function () {
+        function DialogModule() {
+        }
+        return DialogModule;
+    }());
+    DialogModule.decorators = [
+        { type: core.NgModule, args: [{
+                    imports: [overlay.OverlayModule, portal.PortalModule, a11y.A11yModule],
+                    exports: [portal.PortalModule],
+                    declarations: [CdkDialogContainer],
+                    providers: [
+                        Dialog,
+                        DIALOG_SCROLL_STRATEGY_PROVIDER,
+                    ],
+                    entryComponents: [CdkDialogContainer],
+                },] }
+    ];
+
+    /**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+
+    /**
+     * Generated bundle index. Do not edit.
+     */
+
+    exports.CdkDialogContainer = CdkDialogContainer;
+    exports.DEFAULT_DIALOG_CONFIG = DEFAULT_DIALOG_CONFIG;
+    exports.DIALOG_DATA = DIALOG_DATA;
+    exports.DIALOG_SCROLL_STRATEGY = DIALOG_SCROLL_STRATEGY;
+    exports.DIALOG_SCROLL_STRATEGY_PROVIDER = DIALOG_SCROLL_STRATEGY_PROVIDER;
+    exports.DIALOG_SCROLL_STRATEGY_PROVIDER_FACTORY = DIALOG_SCROLL_STRATEGY_PROVIDER_FACTORY;
+    exports.Dialog = Dialog;
+    exports.DialogConfig = DialogConfig;
+    exports.DialogModule = DialogModule;
+    exports.DialogRef = DialogRef;
+    exports.throwDialogContentAlreadyAttachedError = throwDialogContentAlreadyAttachedError;
+
+    Object.defineProperty(exports, '__esModule', { value: true });
+
+})));
+//# sourceMappingURL=cdk-dialog.umd.js.map
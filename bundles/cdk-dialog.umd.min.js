@@ -0,0 +1,45 @@
+!function(e,t){"object"==typeof exports&&"undefined"!=typeof module?t(exports,require("@angular/cdk/overlay"),require("@angular/cdk/portal"),require("@angular/core"),require("rxjs"),require("rxjs/operators"),require("@angular/cdk/a11y"),require("@angular/common"),require("@angular/cdk/keycodes")):"function"==typeof define&&define.amd?define("@angular/cdk/dialog",["exports","@angular/cdk/overlay","@angular/cdk/portal","@angular/core","rxjs","rxjs/operators","@angular/cdk/a11y","@angular/common","@angular/cdk/keycodes"],t):t(((e=e||self).ng=e.ng||{},e.ng.cdk=e.ng.cdk||{},e.ng.cdk.dialog={}),e.ng.cdk.overlay,e.ng.cdk.portal,e.ng.core,e.rxjs,e.rxjs.operators,e.ng.cdk.a11y,e.ng.common,e.ng.cdk.keycodes)}(this,(function(e,t,o,n,a,r,i,s,l){"use strict";
+/**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */var c=function c(){this.role="dialog",this.panelClass="",this.hasBackdrop=!0,this.backdropClass="",this.disableClose=!1,this.width="",this.height="",this.data=null,this.ariaDescribedBy=null,this.ariaLabelledBy=null,this.ariaLabel=null,this.ariaModal=!0,this.autoFocus="first-tabbable",this.restoreFocus=!0,this.closeOnNavigation=!0},p=function(e,t){return(p=Object.setPrototypeOf||{__proto__:[]}instanceof Array&&function(e,t){e.__proto__=t}||function(e,t){for(var o in t)Object.prototype.hasOwnProperty.call(t,o)&&(e[o]=t[o])})(e,t)},u=function(e){function t(t,o,n,a){var r=e.call(this)||this;return r._elementRef=t,r._focusTrapFactory=o,r._document=n,r._config=a,r._elementFocusedBeforeDialogWasOpened=null,r}return function o(e,t){if("function"!=typeof t&&null!==t)throw new TypeError("Class extends value "+String(t)+" is not a constructor or null");function o(){this.constructor=e}p(e,t),e.prototype=null===t?Object.create(t):(o.prototype=t.prototype,new o)}(t,e),t.prototype.ngOnDestroy=function(){this._restoreFocus()},t.prototype.attachComponentPortal=function(e){this._portalOutlet.hasAttached();var t=this._portalOutlet.attachComponentPortal(e);return this._contentAttached(),t},t.prototype.attachTemplatePortal=function(e){this._portalOutlet.hasAttached();var t=this._portalOutlet.attachTemplatePortal(e);return this._contentAttached(),t},t.prototype.attachDomPortal=function(e){this._portalOutlet.hasAttached(),this._portalOutlet.attachDomPortal(e),this._contentAttached()},t.prototype._contentAttached=function(){this._document&&(this._elementFocusedBeforeDialogWasOpened=this._document.activeElement),this._focusTrap=this._focusTrapFactory.create(this._elementRef.nativeElement),this._trapFocus()},t.prototype._trapFocus=function(){var e=this._elementRef.nativeElement;switch(this._config.autoFocus){case!1:case"dialog":this._containsFocus()||e.focus();break;case!0:case"first-tabbable":this._focusTrap.focusInitialElementWhenReady().then((function(t){t||e.focus()}));break;case"first-heading":this._focusByCssSelector('h1, h2, h3, h4, h5, h6, [role="heading"]');break;default:this._focusByCssSelector(this._config.autoFocus)}},t.prototype._focusByCssSelector=function(e){var t=this._elementRef.nativeElement,o=t.querySelector(e);o?(!o.hasAttribute("tabindex")&&o.tabIndex<0&&(o.tabIndex=-1),o.focus()):t.focus()},t.prototype._restoreFocus=function(){var e=this._config.restoreFocus,t=null;if("string"==typeof e?t=this._document&&this._document.querySelector(e):"boolean"==typeof e?t=e?this._elementFocusedBeforeDialogWasOpened:null:e&&(t=e),t&&"function"==typeof t.focus){var o=this._document&&this._document.activeElement,n=this._elementRef.nativeElement;o&&o!==this._document.body&&o!==n&&!n.contains(o)||t.focus()}this._focusTrap&&this._focusTrap.destroy(),this._elementFocusedBeforeDialogWasOpened=null},t.prototype._containsFocus=function(){var e=this._elementRef.nativeElement,t=this._document&&this._document.activeElement;return e===t||e.contains(t)},t}(o.BasePortalOutlet);
+/*! *****************************************************************************
+    Copyright (c) Microsoft Corporation.
+
+    Permission to use, copy, modify, and/or distribute this software for any
+    purpose with or without fee is hereby granted.
+
+    THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES WITH
+    REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF MERCHANTABILITY
+    AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY SPECIAL, DIRECT,
+    INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES WHATSOEVER RESULTING FROM
+    LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION OF CONTRACT, NEGLIGENCE OR
+    OTHER TORTIOUS ACTION, ARISING OUT OF OR IN CONNECTION WITH THE USE OR
+    PERFORMANCE OF THIS SOFTWARE.
+    ***************************************************************************** */u.decorators=[{type:n.Component,args:[{selector:"cdk-dialog-container",template:"<ng-template cdkPortalOutlet></ng-template>",encapsulation:n.ViewEncapsulation.None,changeDetection:n.ChangeDetectionStrategy.Default,host:{class:"cdk-dialog-container",tabindex:"-1","[attr.id]":"_config.id || null","[attr.role]":"_config.role","[attr.aria-modal]":"_config.ariaModal","[attr.aria-labelledby]":"_config.ariaLabel ? null : _config.ariaLabelledBy","[attr.aria-label]":"_config.ariaLabel","[attr.aria-describedby]":"_config.ariaDescribedBy || null"}}]}],u.ctorParameters=function(){return[{type:n.ElementRef},{type:i.ConfigurableFocusTrapFactory},{type:void 0,decorators:[{type:n.Optional},{type:n.Inject,args:[s.DOCUMENT]}]},{type:c}]},u.propDecorators={_portalOutlet:[{type:n.ViewChild,args:[o.CdkPortalOutlet,{static:!0}]}]};
+/**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+var d=new n.InjectionToken("DialogData"),h=new n.InjectionToken("DefaultDialogConfig"),f=new n.InjectionToken("DialogScrollStrategy");function g(e){return function(){return e.scrollStrategies.block()}}var y,_={provide:f,deps:[t.Overlay],useFactory:g},v=function(){function e(e,t){var o=this;this.overlayRef=e,this.config=t,this.componentInstance=null,this._beforeClosed=new a.Subject,this._afterClosed=new a.Subject,this.disableClose=t.disableClose,this.id=t.id,e.keydownEvents().subscribe((function(e){e.keyCode!==l.ESCAPE||o.disableClose||l.hasModifierKey(e)||(e.preventDefault(),o.close())})),e.backdropClick().subscribe((function(){o.disableClose||o.close()})),e.detachments().subscribe((function(){o._notifyBeforeClosed(),o._afterClosed.next(o._result),o._afterClosed.complete(),o.componentInstance=null,e.dispose()}))}return e.prototype.close=function(e){this._afterClosed.isStopped||(this._result=e,this._notifyBeforeClosed(),this.overlayRef.dispose())},e.prototype.beforeClosed=function(){return this._beforeClosed},e.prototype.afterClosed=function(){return this._afterClosed},e.prototype.backdropClick=function(){return this.overlayRef.backdropClick()},e.prototype.keydownEvents=function(){return this.overlayRef.keydownEvents()},e.prototype.updatePosition=function(){return this.overlayRef.updatePosition(),this},e.prototype.updateSize=function(e,t){return void 0===e&&(e=""),void 0===t&&(t=""),this.overlayRef.updateSize({width:e,height:t}),this.overlayRef.updatePosition(),this},e.prototype.addPanelClass=function(e){return this.overlayRef.addPanelClass(e),this},e.prototype.removePanelClass=function(e){return this.overlayRef.removePanelClass(e),this},e.prototype._notifyBeforeClosed=function(){this._beforeClosed.isStopped||(this._beforeClosed.next(this._result),this._beforeClosed.complete())},e}(),m=0,C=function(){function e(e,t,o,n,i,s){var l=this;this._overlay=e,this._injector=t,this._defaultOptions=o,this._parentDialog=n,this._overlayContainer=i,this._openDialogsAtThisLevel=[],this._afterAllClosedAtThisLevel=new a.Subject,this._afterOpenedAtThisLevel=new a.Subject,this._ariaHiddenElements=new Map,this.afterAllClosed=a.defer((function(){return l.openDialogs.length?l._getAfterAllClosed():l._getAfterAllClosed().pipe(r.startWith(void 0))})),this._scrollStrategy=s}return Object.defineProperty(e.prototype,"openDialogs",{get:function(){return this._parentDialog?this._parentDialog.openDialogs:this._openDialogsAtThisLevel},enumerable:!1,configurable:!0}),Object.defineProperty(e.prototype,"afterOpened",{get:function(){return this._parentDialog?this._parentDialog.afterOpened:this._afterOpenedAtThisLevel},enumerable:!1,configurable:!0}),e.prototype.open=function(e,t){var o=this;(t=Object.assign(Object.assign(Object.assign({},new c),this._defaultOptions),t)).id=t.id||"cdk-dialog-"+m++,this.getDialogById(t.id);var n=this._overlay.create(this._getOverlayConfig(t)),a=new v(n,t);return a.containerInstance=this._attachContainer(n,t),this._attachDialogContent(e,a,t),t.ariaModal&&!this._ariaHiddenElements.size&&this._hideNonDialogContentFromAssistiveTechnology(),this.openDialogs.push(a),a.afterClosed().subscribe((function(){return o._removeOpenDialog(a)})),this.afterOpened.next(a),a},e.prototype.closeAll=function(){this._closeDialogs(this.openDialogs)},e.prototype.getDialogById=function(e){return this.openDialogs.find((function(t){return t.id===e}))},e.prototype.ngOnDestroy=function(){this._closeDialogs(this._openDialogsAtThisLevel),this._afterAllClosedAtThisLevel.complete(),this._afterOpenedAtThisLevel.complete()},e.prototype._getOverlayConfig=function(e){return new t.OverlayConfig({positionStrategy:e.positionStrategy||this._overlay.position().global().centerHorizontally().centerVertically(),scrollStrategy:e.scrollStrategy||this._scrollStrategy(),panelClass:e.panelClass,hasBackdrop:e.hasBackdrop,backdropClass:e.backdropClass,direction:e.direction,width:e.width,height:e.height,minWidth:e.minWidth,minHeight:e.minHeight,maxWidth:e.maxWidth,maxHeight:e.maxHeight,disposeOnNavigation:e.closeOnNavigation})},e.prototype._attachContainer=function(e,t){var a=n.Injector.create({parent:this._getParentInjector(t),providers:[{provide:c,useValue:t}]}),r=new o.ComponentPortal(u,t.viewContainerRef,a,t.componentFactoryResolver);return e.attach(r).instance},e.prototype._attachDialogContent=function(e,t,a){var r=t.containerInstance;if(e instanceof n.TemplateRef)r.attachTemplatePortal(new o.TemplatePortal(e,null,{$implicit:a.data,dialogRef:t}));else{var i=this._createInjector(a,t),s=r.attachComponentPortal(new o.ComponentPortal(e,a.viewContainerRef,i,a.componentFactoryResolver));t.componentInstance=s.instance}},e.prototype._createInjector=function(e,t){var o=[{provide:d,useValue:e.data},{provide:v,useValue:t},{provide:c,useValue:e}];return n.Injector.create({parent:this._getParentInjector(e),providers:o})},e.prototype._getParentInjector=function(e){var t=e.viewContainerRef;return e.injector||t&&t.injector||this._injector},e.prototype._removeOpenDialog=function(e){var t=this.openDialogs.indexOf(e);t>-1&&(this.openDialogs.splice(t,1),this.openDialogs.length||(this._ariaHiddenElements.forEach((function(e,t){e?t.setAttribute("aria-hidden",e):t.removeAttribute("aria-hidden")})),this._ariaHiddenElements.clear(),this._getAfterAllClosed().next()))},e.prototype._hideNonDialogContentFromAssistiveTechnology=function(){var e=this._overlayContainer.getContainerElement();if(e.parentElement)for(var t=e.parentElement.children,o=t.length-1;o>-1;o--){var n=t[o];n===e||"SCRIPT"===n.nodeName||"STYLE"===n.nodeName||n.hasAttribute("aria-live")||(this._ariaHiddenElements.set(n,n.getAttribute("aria-hidden")),n.setAttribute("aria-hidden","true"))}},e.prototype._closeDialogs=function(e){for(var t=e.length;t--;)e[t].close()},e.prototype._getAfterAllClosed=function(){var e=this._parentDialog;return e?e._getAfterAllClosed():this._afterAllClosedAtThisLevel},e}();
+/**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */C.decorators=[{type:n.Injectable}],C.ctorParameters=function(){return[{type:t.Overlay},{type:n.Injector},{type:c,decorators:[{type:n.Optional},{type:n.Inject,args:[h]}]},{type:C,decorators:[{type:n.Optional},{type:n.SkipSelf}]},{type:t.OverlayContainer},{type:void 0,decorators:[{type:n.Inject,args:[f]}]}]},(y=function y(){}).decorators=[{type:n.NgModule,args:[{imports:[t.OverlayModule,o.PortalModule,i.A11yModule],exports:[o.PortalModule],declarations:[u],providers:[C,_],entryComponents:[u]}]}],
+/**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+e.CdkDialogContainer=u,e.DEFAULT_DIALOG_CONFIG=h,e.DIALOG_DATA=d,e.DIALOG_SCROLL_STRATEGY=f,e.DIALOG_SCROLL_STRATEGY_PROVIDER=_,e.DIALOG_SCROLL_STRATEGY_PROVIDER_FACTORY=g,e.Dialog=C,e.DialogConfig=c,e.DialogModule=y,e.DialogRef=v,e.throwDialogContentAlreadyAttachedError=function b(){throw Error("Attempting to attach dialog content after content is already attached")},Object.defineProperty(e,"__esModule",{value:!0})}));
\ No newline at end of file
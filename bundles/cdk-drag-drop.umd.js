@@ -1,8 +1,8 @@
 (function (global, factory) {
-    typeof exports === 'object' && typeof module !== 'undefined' ? factory(exports, require('@angular/core'), require('@angular/common'), require('@angular/cdk/scrolling'), require('@angular/cdk/platform'), require('@angular/cdk/coercion'), require('rxjs'), require('rxjs/operators'), require('@angular/cdk/bidi')) :
-    typeof define === 'function' && define.amd ? define('@angular/cdk/drag-drop', ['exports', '@angular/core', '@angular/common', '@angular/cdk/scrolling', '@angular/cdk/platform', '@angular/cdk/coercion', 'rxjs', 'rxjs/operators', '@angular/cdk/bidi'], factory) :
-    (global = global || self, factory((global.ng = global.ng || {}, global.ng.cdk = global.ng.cdk || {}, global.ng.cdk.dragDrop = {}), global.ng.core, global.ng.common, global.ng.cdk.scrolling, global.ng.cdk.platform, global.ng.cdk.coercion, global.rxjs, global.rxjs.operators, global.ng.cdk.bidi));
-}(this, (function (exports, i0, i1, i2, platform, coercion, rxjs, operators, bidi) { 'use strict';
+    typeof exports === 'object' && typeof module !== 'undefined' ? factory(exports, require('@angular/core'), require('@angular/common'), require('@angular/cdk/scrolling'), require('@angular/cdk/platform'), require('@angular/cdk/coercion'), require('@angular/cdk/keycodes'), require('rxjs'), require('rxjs/operators'), require('@angular/cdk/bidi'), require('@angular/cdk/a11y'), require('@angular/cdk/table')) :
+    typeof define === 'function' && define.amd ? define('@angular/cdk/drag-drop', ['exports', '@angular/core', '@angular/common', '@angular/cdk/scrolling', '@angular/cdk/platform', '@angular/cdk/coercion', '@angular/cdk/keycodes', 'rxjs', 'rxjs/operators', '@angular/cdk/bidi', '@angular/cdk/a11y', '@angular/cdk/table'], factory) :
+    (global = global || self, factory((global.ng = global.ng || {}, global.ng.cdk = global.ng.cdk || {}, global.ng.cdk.dragDrop = {}), global.ng.core, global.ng.common, global.ng.cdk.scrolling, global.ng.cdk.platform, global.ng.cdk.coercion, global.ng.cdk.keycodes, global.rxjs, global.rxjs.operators, global.ng.cdk.bidi, global.ng.cdk.a11y, global.ng.cdk.table));
+}(this, (function (exports, i0, i1, i2, platform, coercion, keycodes, rxjs, operators, bidi, a11y, table) { 'use strict';
 
     /**
      * @license
@@ -89,6 +89,165 @@
         var value = computedStyle.getPropertyValue(name);
         return value.split(',').map(function (part) { return part.trim(); });
     }
+    /**
+     * Waits for the `transform` transition of an element to finish.
+     * @param element Element whose transition should be awaited.
+     * @param duration Duration of the transition, including the delay, in milliseconds.
+     * @returns Promise that resolves when the transition completes.
+     */
+    function waitForTransformTransition(element, duration) {
+        if (duration === 0) {
+            return Promise.resolve();
+        }
+        return new Promise(function (resolve) {
+            var handler = (function (event) {
+                if (!event || (event.target === element && event.propertyName === 'transform')) {
+                    element.removeEventListener('transitionend', handler);
+                    element.removeEventListener('transitioncancel', handler);
+                    clearTimeout(timeout);
+                    resolve();
+                }
+            });
+            // If a transition is short enough, the browser might not fire the `transitionend` event.
+            // Since we know how long it's supposed to take, add a timeout with a 50% buffer that'll
+            // fire if the transition hasn't completed when it was supposed to. We also listen for
+            // `transitioncancel`, because `transitionend` won't fire if the transition is interrupted.
+            var timeout = setTimeout(handler, duration * 1.5);
+            element.addEventListener('transitionend', handler);
+            element.addEventListener('transitioncancel', handler);
+        });
+    }
+
+    /**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+    /**
+     * Gets the offset of the frame that a node is rendered in, relative to a reference document.
+     * Used to translate coordinates from a same-origin frame into the coordinate space of the
+     * document that the drag&drop services are running in. The offset is zero if the node is
+     * inside the reference document or the frame can't be accessed.
+     * @param node Node whose frame offset should be determined.
+     * @param referenceDocument Document relative to which the offset should be calculated.
+     */
+    function getFrameOffset(node, referenceDocument) {
+        var offset = { x: 0, y: 0 };
+        var currentDocument = node.ownerDocument || node;
+        while (currentDocument && currentDocument !== referenceDocument) {
+            var frame = getFrameElement(currentDocument);
+            if (!frame) {
+                break;
+            }
+            var frameOffset = getFrameContentOffset(frame);
+            offset.x += frameOffset.x;
+            offset.y += frameOffset.y;
+            currentDocument = frame.ownerDocument;
+        }
+        return offset;
+    }
+    /** Gets the document in which an event was dispatched. */
+    function getEventDocument(event) {
+        return event.view ? event.view.document : null;
+    }
+    /**
+     * Finds the top-most element at a specific point, taking shadow roots and same-origin
+     * frames into account. Unlike `elementFromPoint`, the result isn't retargeted to a
+     * shadow host or a frame element if the point is inside one of them.
+     * @param referenceDocument Document from which to start looking.
+     * @param x Position along the X axis, relative to the reference document's viewport.
+     * @param y Position along the Y axis, relative to the reference document's viewport.
+     */
+    function getDeepElementFromPoint(referenceDocument, x, y) {
+        var root = referenceDocument;
+        var result = null;
+        while (root) {
+            var element = root.elementFromPoint(x, y);
+            // A shadow root will return its host if there's nothing inside of it at the point.
+            if (!element || element === result) {
+                break;
+            }
+            result = element;
+            if (element.shadowRoot) {
+                root = element.shadowRoot;
+            }
+            else {
+                var frameDocument = getFrameDocument(element);
+                if (!frameDocument) {
+                    break;
+                }
+                var frameOffset = getFrameContentOffset(element);
+                x -= frameOffset.x;
+                y -= frameOffset.y;
+                root = frameDocument;
+            }
+        }
+        return result;
+    }
+    /**
+     * Checks whether a node contains another node, including through shadow roots and frames.
+     * @param ancestor Node that may contain the other node.
+     * @param node Node that is being checked.
+     */
+    function deepContains(ancestor, node) {
+        var current = node;
+        while (current) {
+            if (current === ancestor) {
+                return true;
+            }
+            current = current.parentNode || current.host ||
+                (current.nodeType === current.DOCUMENT_NODE ?
+                    getFrameElement(current) : null);
+        }
+        return false;
+    }
+    /** Gets the closest ancestor of an element that matches a selector. */
+    function getClosestMatchingAncestor(element, selector) {
+        var currentElement = element.parentElement;
+        while (currentElement) {
+            // IE doesn't support `matches` so we have to fall back to `msMatchesSelector`.
+            if (currentElement.matches ? currentElement.matches(selector) :
+                currentElement.msMatchesSelector(selector)) {
+                return currentElement;
+            }
+            currentElement = currentElement.parentElement;
+        }
+        return null;
+    }
+    /** Gets the frame element that is hosting a document, if it's accessible. */
+    function getFrameElement(document) {
+        try {
+            return document.defaultView ? document.defaultView.frameElement : null;
+        }
+        catch (_a) {
+            // Accessing the frame element of a cross-origin frame throws.
+            return null;
+        }
+    }
+    /** Gets the content document of a frame element, if it's a same-origin frame. */
+    function getFrameDocument(element) {
+        if (element.nodeName !== 'IFRAME' && element.nodeName !== 'FRAME') {
+            return null;
+        }
+        try {
+            return element.contentDocument;
+        }
+        catch (_a) {
+            return null;
+        }
+    }
+    /** Gets the position of a frame's content box, relative to the viewport of its document. */
+    function getFrameContentOffset(frame) {
+        var rect = frame.getBoundingClientRect();
+        var view = frame.ownerDocument.defaultView;
+        var styles = view ? view.getComputedStyle(frame) : null;
+        return {
+            x: rect.left + frame.clientLeft + (styles ? parseFloat(styles.paddingLeft) || 0 : 0),
+            y: rect.top + frame.clientTop + (styles ? parseFloat(styles.paddingTop) || 0 : 0)
+        };
+    }
 
     /**
      * @license
@@ -97,18 +256,26 @@
      * Use of this source code is governed by an MIT-style license that can be
      * found in the LICENSE file at https://angular.io/license
      */
-    /** Gets a mutable version of an element's bounding `ClientRect`. */
-    function getMutableClientRect(element) {
+    /**
+     * Gets a mutable version of an element's bounding `ClientRect`.
+     * @param element Element to be measured.
+     * @param referenceDocument Document relative to whose viewport the element should be measured.
+     *     Only makes a difference for elements inside same-origin frames.
+     */
+    function getMutableClientRect(element, referenceDocument) {
         var clientRect = element.getBoundingClientRect();
+        var offset = referenceDocument ? getFrameOffset(element, referenceDocument) : null;
+        var offsetX = offset ? offset.x : 0;
+        var offsetY = offset ? offset.y : 0;
         // We need to clone the `clientRect` here, because all the values on it are readonly
         // and we need to be able to update them. Also we can't use a spread here, because
         // the values on a `ClientRect` aren't own properties. See:
         // https://developer.mozilla.org/en-US/docs/Web/API/Element/getBoundingClientRect#Notes
         return {
-            top: clientRect.top,
-            right: clientRect.right,
-            bottom: clientRect.bottom,
-            left: clientRect.left,
+            top: clientRect.top + offsetY,
+            right: clientRect.right + offsetX,
+            bottom: clientRect.bottom + offsetY,
+            left: clientRect.left + offsetX,
             width: clientRect.width,
             height: clientRect.height
         };
@@ -179,7 +346,7 @@
             elements.forEach(function (element) {
                 _this.positions.set(element, {
                     scrollPosition: { top: element.scrollTop, left: element.scrollLeft },
-                    clientRect: getMutableClientRect(element)
+                    clientRect: getMutableClientRect(element, _this._document)
                 });
             });
         };
@@ -294,206 +461,882 @@
      * Use of this source code is governed by an MIT-style license that can be
      * found in the LICENSE file at https://angular.io/license
      */
-    /** Options that can be used to bind a passive event listener. */
-    var passiveEventListenerOptions = platform.normalizePassiveListenerOptions({ passive: true });
-    /** Options that can be used to bind an active event listener. */
-    var activeEventListenerOptions = platform.normalizePassiveListenerOptions({ passive: false });
-    /**
-     * Time in milliseconds for which to ignore mouse events, after
-     * receiving a touch event. Used to avoid doing double work for
-     * touch devices where the browser fires fake mouse events, in
-     * addition to touch events.
-     */
-    var MOUSE_EVENT_IGNORE_TIME = 800;
     /**
-     * Reference to a draggable item. Used to manipulate or dispose of the item.
+     * Runs a custom animation function, making sure that errors
+     * inside of it don't prevent the drag sequence from completing.
+     * @returns Promise that resolves when the animation completes.
      */
-    var DragRef = /** @class */ (function () {
-        function DragRef(element, _config, _document, _ngZone, _viewportRuler, _dragDropRegistry) {
-            var _this = this;
-            this._config = _config;
-            this._document = _document;
-            this._ngZone = _ngZone;
-            this._viewportRuler = _viewportRuler;
-            this._dragDropRegistry = _dragDropRegistry;
-            /**
-             * CSS `transform` applied to the element when it isn't being dragged. We need a
-             * passive transform in order for the dragged element to retain its new position
-             * after the user has stopped dragging and because we need to know the relative
-             * position in case they start dragging again. This corresponds to `element.style.transform`.
-             */
-            this._passiveTransform = { x: 0, y: 0 };
-            /** CSS `transform` that is applied to the element while it's being dragged. */
-            this._activeTransform = { x: 0, y: 0 };
-            /** Emits when the item is being moved. */
-            this._moveEvents = new rxjs.Subject();
-            /** Subscription to pointer movement events. */
-            this._pointerMoveSubscription = rxjs.Subscription.EMPTY;
-            /** Subscription to the event that is dispatched when the user lifts their pointer. */
-            this._pointerUpSubscription = rxjs.Subscription.EMPTY;
-            /** Subscription to the viewport being scrolled. */
-            this._scrollSubscription = rxjs.Subscription.EMPTY;
-            /** Subscription to the viewport being resized. */
-            this._resizeSubscription = rxjs.Subscription.EMPTY;
-            /** Cached reference to the boundary element. */
-            this._boundaryElement = null;
-            /** Whether the native dragging interactions have been enabled on the root element. */
-            this._nativeInteractionsEnabled = true;
-            /** Elements that can be used to drag the draggable item. */
-            this._handles = [];
-            /** Registered handles that are currently disabled. */
-            this._disabledHandles = new Set();
-            /** Layout direction of the item. */
-            this._direction = 'ltr';
-            /**
-             * Amount of milliseconds to wait after the user has put their
-             * pointer down before starting to drag the element.
-             */
-            this.dragStartDelay = 0;
-            this._disabled = false;
-            /** Emits as the drag sequence is being prepared. */
-            this.beforeStarted = new rxjs.Subject();
-            /** Emits when the user starts dragging the item. */
-            this.started = new rxjs.Subject();
-            /** Emits when the user has released a drag item, before any animations have started. */
-            this.released = new rxjs.Subject();
-            /** Emits when the user stops dragging an item in the container. */
-            this.ended = new rxjs.Subject();
-            /** Emits when the user has moved the item into a new container. */
-            this.entered = new rxjs.Subject();
-            /** Emits when the user removes the item its container by dragging it into another container. */
-            this.exited = new rxjs.Subject();
-            /** Emits when the user drops the item inside a container. */
-            this.dropped = new rxjs.Subject();
-            /**
-             * Emits as the user is dragging the item. Use with caution,
-             * because this event will fire for every pixel that the user has dragged.
-             */
-            this.moved = this._moveEvents;
-            /** Handler for the `mousedown`/`touchstart` events. */
-            this._pointerDown = function (event) {
-                _this.beforeStarted.next();
-                // Delegate the event based on whether it started from a handle or the element itself.
-                if (_this._handles.length) {
-                    var targetHandle = _this._handles.find(function (handle) {
-                        var target = event.target;
-                        return !!target && (target === handle || handle.contains(target));
-                    });
-                    if (targetHandle && !_this._disabledHandles.has(targetHandle) && !_this.disabled) {
-                        _this._initializeDragSequence(targetHandle, event);
-                    }
-                }
-                else if (!_this.disabled) {
-                    _this._initializeDragSequence(_this._rootElement, event);
-                }
-            };
-            /** Handler that is invoked when the user moves their pointer after they've initiated a drag. */
-            this._pointerMove = function (event) {
-                var pointerPosition = _this._getPointerPositionOnPage(event);
-                if (!_this._hasStartedDragging) {
-                    var distanceX = Math.abs(pointerPosition.x - _this._pickupPositionOnPage.x);
-                    var distanceY = Math.abs(pointerPosition.y - _this._pickupPositionOnPage.y);
-                    var isOverThreshold = distanceX + distanceY >= _this._config.dragStartThreshold;
-                    // Only start dragging after the user has moved more than the minimum distance in either
-                    // direction. Note that this is preferrable over doing something like `skip(minimumDistance)`
-                    // in the `pointerMove` subscription, because we're not guaranteed to have one move event
-                    // per pixel of movement (e.g. if the user moves their pointer quickly).
-                    if (isOverThreshold) {
-                        var isDelayElapsed = Date.now() >= _this._dragStartTime + _this._getDragStartDelay(event);
-                        var container = _this._dropContainer;
-                        if (!isDelayElapsed) {
-                            _this._endDragSequence(event);
-                            return;
-                        }
-                        // Prevent other drag sequences from starting while something in the container is still
-                        // being dragged. This can happen while we're waiting for the drop animation to finish
-                        // and can cause errors, because some elements might still be moving around.
-                        if (!container || (!container.isDragging() && !container.isReceiving())) {
-                            // Prevent the default action as soon as the dragging sequence is considered as
-                            // "started" since waiting for the next event can allow the device to begin scrolling.
-                            event.preventDefault();
-                            _this._hasStartedDragging = true;
-                            _this._ngZone.run(function () { return _this._startDragSequence(event); });
-                        }
-                    }
-                    return;
-                }
-                // We only need the preview dimensions if we have a boundary element.
-                if (_this._boundaryElement) {
-                    // Cache the preview element rect if we haven't cached it already or if
-                    // we cached it too early before the element dimensions were computed.
-                    if (!_this._previewRect || (!_this._previewRect.width && !_this._previewRect.height)) {
-                        _this._previewRect = (_this._preview || _this._rootElement).getBoundingClientRect();
-                    }
-                }
-                // We prevent the default action down here so that we know that dragging has started. This is
-                // important for touch devices where doing this too early can unnecessarily block scrolling,
-                // if there's a dragging delay.
-                event.preventDefault();
-                var constrainedPointerPosition = _this._getConstrainedPointerPosition(pointerPosition);
-                _this._hasMoved = true;
-                _this._lastKnownPointerPosition = pointerPosition;
-                _this._updatePointerDirectionDelta(constrainedPointerPosition);
-                if (_this._dropContainer) {
-                    _this._updateActiveDropContainer(constrainedPointerPosition, pointerPosition);
-                }
-                else {
-                    var activeTransform = _this._activeTransform;
-                    activeTransform.x =
-                        constrainedPointerPosition.x - _this._pickupPositionOnPage.x + _this._passiveTransform.x;
-                    activeTransform.y =
-                        constrainedPointerPosition.y - _this._pickupPositionOnPage.y + _this._passiveTransform.y;
-                    _this._applyRootElementTransform(activeTransform.x, activeTransform.y);
-                    // Apply transform as attribute if dragging and svg element to work for IE
-                    if (typeof SVGElement !== 'undefined' && _this._rootElement instanceof SVGElement) {
-                        var appliedTransform = "translate(" + activeTransform.x + " " + activeTransform.y + ")";
-                        _this._rootElement.setAttribute('transform', appliedTransform);
-                    }
-                }
-                // Since this event gets fired for every pixel while dragging, we only
-                // want to fire it if the consumer opted into it. Also we have to
-                // re-enter the zone because we run all of the events on the outside.
-                if (_this._moveEvents.observers.length) {
-                    _this._ngZone.run(function () {
-                        _this._moveEvents.next({
-                            source: _this,
-                            pointerPosition: constrainedPointerPosition,
-                            event: event,
-                            distance: _this._getDragDistance(constrainedPointerPosition),
-                            delta: _this._pointerDirectionDelta
-                        });
-                    });
-                }
-            };
-            /** Handler that is invoked when the user lifts their pointer up, after initiating a drag. */
-            this._pointerUp = function (event) {
-                _this._endDragSequence(event);
-            };
-            this.withRootElement(element).withParent(_config.parentDragRef || null);
-            this._parentPositions = new ParentPositionTracker(_document, _viewportRuler);
-            _dragDropRegistry.registerDragItem(this);
+    function runDragAnimation(animationFn, animation) {
+        var result;
+        try {
+            result = animationFn(animation);
         }
-        Object.defineProperty(DragRef.prototype, "disabled", {
-            /** Whether starting to drag this element is disabled. */
-            get: function () {
-                return this._disabled || !!(this._dropContainer && this._dropContainer.disabled);
-            },
-            set: function (value) {
-                var newValue = coercion.coerceBooleanProperty(value);
-                if (newValue !== this._disabled) {
-                    this._disabled = newValue;
-                    this._toggleNativeDragInteractions();
-                    this._handles.forEach(function (handle) { return toggleNativeDragInteractions(handle, newValue); });
-                }
-            },
-            enumerable: false,
-            configurable: true
-        });
-        /**
-         * Returns the element that is being used as a placeholder
-         * while the current element is being dragged.
-         */
-        DragRef.prototype.getPlaceholderElement = function () {
+        catch (_a) {
+            return Promise.resolve();
+        }
+        return Promise.resolve(result).then(function () { }, function () { });
+    }
+
+    /*! *****************************************************************************
+    Copyright (c) Microsoft Corporation.
+
+    Permission to use, copy, modify, and/or distribute this software for any
+    purpose with or without fee is hereby granted.
+
+    THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES WITH
+    REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF MERCHANTABILITY
+    AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY SPECIAL, DIRECT,
+    INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES WHATSOEVER RESULTING FROM
+    LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION OF CONTRACT, NEGLIGENCE OR
+    OTHER TORTIOUS ACTION, ARISING OUT OF OR IN CONNECTION WITH THE USE OR
+    PERFORMANCE OF THIS SOFTWARE.
+    ***************************************************************************** */
+    /* global Reflect, Promise */
+    var extendStatics = function (d, b) {
+        extendStatics = Object.setPrototypeOf ||
+            ({ __proto__: [] } instanceof Array && function (d, b) { d.__proto__ = b; }) ||
+            function (d, b) { for (var p in b)
+                if (Object.prototype.hasOwnProperty.call(b, p))
+                    d[p] = b[p]; };
+        return extendStatics(d, b);
+    };
+    function __extends(d, b) {
+        if (typeof b !== "function" && b !== null)
+            throw new TypeError("Class extends value " + String(b) + " is not a constructor or null");
+        extendStatics(d, b);
+        function __() { this.constructor = d; }
+        d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
+    }
+    var __assign = function () {
+        __assign = Object.assign || function __assign(t) {
+            for (var s, i = 1, n = arguments.length; i < n; i++) {
+                s = arguments[i];
+                for (var p in s)
+                    if (Object.prototype.hasOwnProperty.call(s, p))
+                        t[p] = s[p];
+            }
+            return t;
+        };
+        return __assign.apply(this, arguments);
+    };
+    function __rest(s, e) {
+        var t = {};
+        for (var p in s)
+            if (Object.prototype.hasOwnProperty.call(s, p) && e.indexOf(p) < 0)
+                t[p] = s[p];
+        if (s != null && typeof Object.getOwnPropertySymbols === "function")
+            for (var i = 0, p = Object.getOwnPropertySymbols(s); i < p.length; i++) {
+                if (e.indexOf(p[i]) < 0 && Object.prototype.propertyIsEnumerable.call(s, p[i]))
+                    t[p[i]] = s[p[i]];
+            }
+        return t;
+    }
+    function __decorate(decorators, target, key, desc) {
+        var c = arguments.length, r = c < 3 ? target : desc === null ? desc = Object.getOwnPropertyDescriptor(target, key) : desc, d;
+        if (typeof Reflect === "object" && typeof Reflect.decorate === "function")
+            r = Reflect.decorate(decorators, target, key, desc);
+        else
+            for (var i = decorators.length - 1; i >= 0; i--)
+                if (d = decorators[i])
+                    r = (c < 3 ? d(r) : c > 3 ? d(target, key, r) : d(target, key)) || r;
+        return c > 3 && r && Object.defineProperty(target, key, r), r;
+    }
+    function __param(paramIndex, decorator) {
+        return function (target, key) { decorator(target, key, paramIndex); };
+    }
+    function __metadata(metadataKey, metadataValue) {
+        if (typeof Reflect === "object" && typeof Reflect.metadata === "function")
+            return Reflect.metadata(metadataKey, metadataValue);
+    }
+    function __awaiter(thisArg, _arguments, P, generator) {
+        function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+        return new (P || (P = Promise))(function (resolve, reject) {
+            function fulfilled(value) { try {
+                step(generator.next(value));
+            }
+            catch (e) {
+                reject(e);
+            } }
+            function rejected(value) { try {
+                step(generator["throw"](value));
+            }
+            catch (e) {
+                reject(e);
+            } }
+            function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+            step((generator = generator.apply(thisArg, _arguments || [])).next());
+        });
+    }
+    function __generator(thisArg, body) {
+        var _ = { label: 0, sent: function () { if (t[0] & 1)
+                throw t[1]; return t[1]; }, trys: [], ops: [] }, f, y, t, g;
+        return g = { next: verb(0), "throw": verb(1), "return": verb(2) }, typeof Symbol === "function" && (g[Symbol.iterator] = function () { return this; }), g;
+        function verb(n) { return function (v) { return step([n, v]); }; }
+        function step(op) {
+            if (f)
+                throw new TypeError("Generator is already executing.");
+            while (_)
+                try {
+                    if (f = 1, y && (t = op[0] & 2 ? y["return"] : op[0] ? y["throw"] || ((t = y["return"]) && t.call(y), 0) : y.next) && !(t = t.call(y, op[1])).done)
+                        return t;
+                    if (y = 0, t)
+                        op = [op[0] & 2, t.value];
+                    switch (op[0]) {
+                        case 0:
+                        case 1:
+                            t = op;
+                            break;
+                        case 4:
+                            _.label++;
+                            return { value: op[1], done: false };
+                        case 5:
+                            _.label++;
+                            y = op[1];
+                            op = [0];
+                            continue;
+                        case 7:
+                            op = _.ops.pop();
+                            _.trys.pop();
+                            continue;
+                        default:
+                            if (!(t = _.trys, t = t.length > 0 && t[t.length - 1]) && (op[0] === 6 || op[0] === 2)) {
+                                _ = 0;
+                                continue;
+                            }
+                            if (op[0] === 3 && (!t || (op[1] > t[0] && op[1] < t[3]))) {
+                                _.label = op[1];
+                                break;
+                            }
+                            if (op[0] === 6 && _.label < t[1]) {
+                                _.label = t[1];
+                                t = op;
+                                break;
+                            }
+                            if (t && _.label < t[2]) {
+                                _.label = t[2];
+                                _.ops.push(op);
+                                break;
+                            }
+                            if (t[2])
+                                _.ops.pop();
+                            _.trys.pop();
+                            continue;
+                    }
+                    op = body.call(thisArg, _);
+                }
+                catch (e) {
+                    op = [6, e];
+                    y = 0;
+                }
+                finally {
+                    f = t = 0;
+                }
+            if (op[0] & 5)
+                throw op[1];
+            return { value: op[0] ? op[1] : void 0, done: true };
+        }
+    }
+    var __createBinding = Object.create ? (function (o, m, k, k2) {
+        if (k2 === undefined)
+            k2 = k;
+        Object.defineProperty(o, k2, { enumerable: true, get: function () { return m[k]; } });
+    }) : (function (o, m, k, k2) {
+        if (k2 === undefined)
+            k2 = k;
+        o[k2] = m[k];
+    });
+    function __exportStar(m, o) {
+        for (var p in m)
+            if (p !== "default" && !Object.prototype.hasOwnProperty.call(o, p))
+                __createBinding(o, m, p);
+    }
+    function __values(o) {
+        var s = typeof Symbol === "function" && Symbol.iterator, m = s && o[s], i = 0;
+        if (m)
+            return m.call(o);
+        if (o && typeof o.length === "number")
+            return {
+                next: function () {
+                    if (o && i >= o.length)
+                        o = void 0;
+                    return { value: o && o[i++], done: !o };
+                }
+            };
+        throw new TypeError(s ? "Object is not iterable." : "Symbol.iterator is not defined.");
+    }
+    function __read(o, n) {
+        var m = typeof Symbol === "function" && o[Symbol.iterator];
+        if (!m)
+            return o;
+        var i = m.call(o), r, ar = [], e;
+        try {
+            while ((n === void 0 || n-- > 0) && !(r = i.next()).done)
+                ar.push(r.value);
+        }
+        catch (error) {
+            e = { error: error };
+        }
+        finally {
+            try {
+                if (r && !r.done && (m = i["return"]))
+                    m.call(i);
+            }
+            finally {
+                if (e)
+                    throw e.error;
+            }
+        }
+        return ar;
+    }
+    /** @deprecated */
+    function __spread() {
+        for (var ar = [], i = 0; i < arguments.length; i++)
+            ar = ar.concat(__read(arguments[i]));
+        return ar;
+    }
+    /** @deprecated */
+    function __spreadArrays() {
+        for (var s = 0, i = 0, il = arguments.length; i < il; i++)
+            s += arguments[i].length;
+        for (var r = Array(s), k = 0, i = 0; i < il; i++)
+            for (var a = arguments[i], j = 0, jl = a.length; j < jl; j++, k++)
+                r[k] = a[j];
+        return r;
+    }
+    function __spreadArray(to, from) {
+        for (var i = 0, il = from.length, j = to.length; i < il; i++, j++)
+            to[j] = from[i];
+        return to;
+    }
+    function __await(v) {
+        return this instanceof __await ? (this.v = v, this) : new __await(v);
+    }
+    function __asyncGenerator(thisArg, _arguments, generator) {
+        if (!Symbol.asyncIterator)
+            throw new TypeError("Symbol.asyncIterator is not defined.");
+        var g = generator.apply(thisArg, _arguments || []), i, q = [];
+        return i = {}, verb("next"), verb("throw"), verb("return"), i[Symbol.asyncIterator] = function () { return this; }, i;
+        function verb(n) { if (g[n])
+            i[n] = function (v) { return new Promise(function (a, b) { q.push([n, v, a, b]) > 1 || resume(n, v); }); }; }
+        function resume(n, v) { try {
+            step(g[n](v));
+        }
+        catch (e) {
+            settle(q[0][3], e);
+        } }
+        function step(r) { r.value instanceof __await ? Promise.resolve(r.value.v).then(fulfill, reject) : settle(q[0][2], r); }
+        function fulfill(value) { resume("next", value); }
+        function reject(value) { resume("throw", value); }
+        function settle(f, v) { if (f(v), q.shift(), q.length)
+            resume(q[0][0], q[0][1]); }
+    }
+    function __asyncDelegator(o) {
+        var i, p;
+        return i = {}, verb("next"), verb("throw", function (e) { throw e; }), verb("return"), i[Symbol.iterator] = function () { return this; }, i;
+        function verb(n, f) { i[n] = o[n] ? function (v) { return (p = !p) ? { value: __await(o[n](v)), done: n === "return" } : f ? f(v) : v; } : f; }
+    }
+    function __asyncValues(o) {
+        if (!Symbol.asyncIterator)
+            throw new TypeError("Symbol.asyncIterator is not defined.");
+        var m = o[Symbol.asyncIterator], i;
+        return m ? m.call(o) : (o = typeof __values === "function" ? __values(o) : o[Symbol.iterator](), i = {}, verb("next"), verb("throw"), verb("return"), i[Symbol.asyncIterator] = function () { return this; }, i);
+        function verb(n) { i[n] = o[n] && function (v) { return new Promise(function (resolve, reject) { v = o[n](v), settle(resolve, reject, v.done, v.value); }); }; }
+        function settle(resolve, reject, d, v) { Promise.resolve(v).then(function (v) { resolve({ value: v, done: d }); }, reject); }
+    }
+    function __makeTemplateObject(cooked, raw) {
+        if (Object.defineProperty) {
+            Object.defineProperty(cooked, "raw", { value: raw });
+        }
+        else {
+            cooked.raw = raw;
+        }
+        return cooked;
+    }
+    ;
+    var __setModuleDefault = Object.create ? (function (o, v) {
+        Object.defineProperty(o, "default", { enumerable: true, value: v });
+    }) : function (o, v) {
+        o["default"] = v;
+    };
+    function __importStar(mod) {
+        if (mod && mod.__esModule)
+            return mod;
+        var result = {};
+        if (mod != null)
+            for (var k in mod)
+                if (k !== "default" && Object.prototype.hasOwnProperty.call(mod, k))
+                    __createBinding(result, mod, k);
+        __setModuleDefault(result, mod);
+        return result;
+    }
+    function __importDefault(mod) {
+        return (mod && mod.__esModule) ? mod : { default: mod };
+    }
+    function __classPrivateFieldGet(receiver, privateMap) {
+        if (!privateMap.has(receiver)) {
+            throw new TypeError("attempted to get private field on non-instance");
+        }
+        return privateMap.get(receiver);
+    }
+    function __classPrivateFieldSet(receiver, privateMap, value) {
+        if (!privateMap.has(receiver)) {
+            throw new TypeError("attempted to set private field on non-instance");
+        }
+        privateMap.set(receiver, value);
+        return value;
+    }
+
+    /**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+    /**
+     * Cursors that are shown for each of the drop effects. Has to be kept in sync with the
+     * `cdk-drag-drop` Sass mixin.
+     */
+    var DROP_EFFECT_CURSORS = {
+        move: '',
+        copy: 'copy',
+        link: 'alias',
+        none: 'no-drop',
+    };
+    /**
+     * Gets the effect of dropping an item with particular kinds, based on the first matching rule.
+     * @param rules Rules that should be checked.
+     * @param kinds Kinds of the item that is being dropped.
+     * @returns Effect of the first rule that matches, or `none` if no rule matches.
+     */
+    function getAcceptedDropEffect(rules, kinds) {
+        var e_1, _a;
+        try {
+            for (var rules_1 = __values(rules), rules_1_1 = rules_1.next(); !rules_1_1.done; rules_1_1 = rules_1.next()) {
+                var rule = rules_1_1.value;
+                var ruleKinds = Array.isArray(rule.kinds) ? rule.kinds : [rule.kinds];
+                if (ruleKinds.indexOf('*') > -1 || ruleKinds.some(function (kind) { return kinds.indexOf(kind) > -1; })) {
+                    return rule.effect || 'move';
+                }
+            }
+        }
+        catch (e_1_1) { e_1 = { error: e_1_1 }; }
+        finally {
+            try {
+                if (rules_1_1 && !rules_1_1.done && (_a = rules_1.return)) _a.call(rules_1);
+            }
+            finally { if (e_1) throw e_1.error; }
+        }
+        return 'none';
+    }
+
+    /**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+    /**
+     * Default speed, in pixels per frame, at which to auto-scroll while an item is being dragged
+     * freely. Starts off slowly and speeds up as the pointer gets closer to the edge.
+     * @param proximity How close the pointer is to the edge, from 0 at the start of the
+     *     auto-scroll region to 1 at the edge itself.
+     */
+    function defaultAutoScrollSpeed(proximity) {
+        return Math.max(1, Math.round(proximity * proximity * 20));
+    }
+    /**
+     * Increments the vertical scroll position of a node.
+     * @param node Node whose scroll position should change.
+     * @param amount Amount of pixels that the `node` should be scrolled.
+     */
+    function incrementVerticalScroll(node, amount) {
+        if (node === window) {
+            node.scrollBy(0, amount);
+        }
+        else {
+            // Ideally we could use `Element.scrollBy` here as well, but IE and Edge don't support it.
+            node.scrollTop += amount;
+        }
+    }
+    /**
+     * Increments the horizontal scroll position of a node.
+     * @param node Node whose scroll position should change.
+     * @param amount Amount of pixels that the `node` should be scrolled.
+     */
+    function incrementHorizontalScroll(node, amount) {
+        if (node === window) {
+            node.scrollBy(amount, 0);
+        }
+        else {
+            // Ideally we could use `Element.scrollBy` here as well, but IE and Edge don't support it.
+            node.scrollLeft += amount;
+        }
+    }
+    /**
+     * Gets the amount by which a scrollable region has to be scrolled along a single axis so that
+     * an element inside of it becomes visible. Elements that are larger than the region are
+     * aligned with its start edge.
+     * @param regionStart Start edge of the visible part of the region.
+     * @param regionEnd End edge of the visible part of the region.
+     * @param start Start edge of the element.
+     * @param end End edge of the element.
+     */
+    function getScrollIntoViewDelta(regionStart, regionEnd, start, end) {
+        if (start < regionStart) {
+            return start - regionStart;
+        }
+        if (end > regionEnd) {
+            return Math.min(end - regionEnd, start - regionStart);
+        }
+        return 0;
+    }
+    /**
+     * Gets the velocity, in pixels per frame, at which a scrollable region should be auto-scrolled
+     * based on how close the user's pointer is to its edges.
+     * @param clientRect Dimensions of the scrollable region.
+     * @param pointerX Position of the user's pointer along the x axis.
+     * @param pointerY Position of the user's pointer along the y axis.
+     * @param threshold Distance, in pixels, from the edges at which to start scrolling.
+     * @param speed Function that determines the speed based on how close the pointer is to an edge.
+     * @param element Element that will be scrolled. Used to check whether it can be scrolled any
+     *     further. Should be omitted for the viewport.
+     */
+    function getAutoScrollVelocity(clientRect, pointerX, pointerY, threshold, speed, element) {
+        // Elements are only scrolled while the pointer is inside of them, whereas
+        // the viewport is also scrolled if the pointer has been moved past its edges.
+        if (threshold <= 0 || (element && !isInsideClientRect(clientRect, pointerX, pointerY))) {
+            return { x: 0, y: 0 };
+        }
+        return {
+            x: getAxisVelocity(pointerX - clientRect.left, clientRect.right - pointerX, threshold, speed, element ? element.scrollLeft : null, element ? element.scrollWidth - element.clientWidth : null),
+            y: getAxisVelocity(pointerY - clientRect.top, clientRect.bottom - pointerY, threshold, speed, element ? element.scrollTop : null, element ? element.scrollHeight - element.clientHeight : null)
+        };
+    }
+    /**
+     * Gets the auto-scroll velocity along a single axis.
+     * @param distanceToStart Distance from the pointer to the start edge.
+     * @param distanceToEnd Distance from the pointer to the end edge.
+     * @param threshold Distance from the edges at which to start scrolling.
+     * @param speed Function that determines the speed based on how close the pointer is to an edge.
+     * @param scrollPosition Current scroll position, or null if it can't be determined.
+     * @param maxScrollPosition Maximum scroll position, or null if it can't be determined.
+     */
+    function getAxisVelocity(distanceToStart, distanceToEnd, threshold, speed, scrollPosition, maxScrollPosition) {
+        if (distanceToStart < threshold && distanceToStart <= distanceToEnd) {
+            return scrollPosition === null || scrollPosition > 0 ?
+                -speed(getProximity(distanceToStart, threshold)) : 0;
+        }
+        if (distanceToEnd < threshold) {
+            return scrollPosition === null || scrollPosition < maxScrollPosition ?
+                speed(getProximity(distanceToEnd, threshold)) : 0;
+        }
+        return 0;
+    }
+    /** Converts the distance between the pointer and an edge into a value between 0 and 1. */
+    function getProximity(distance, threshold) {
+        return Math.min(1, Math.max(0, 1 - distance / threshold));
+    }
+
+    /**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+    /** Options that can be used to bind a passive event listener. */
+    var passiveEventListenerOptions = platform.normalizePassiveListenerOptions({ passive: true });
+    /** Options that can be used to bind an active event listener. */
+    var activeEventListenerOptions = platform.normalizePassiveListenerOptions({ passive: false });
+    /**
+     * Time in milliseconds for which to ignore mouse events, after
+     * receiving a touch event. Used to avoid doing double work for
+     * touch devices where the browser fires fake mouse events, in
+     * addition to touch events.
+     */
+    var MOUSE_EVENT_IGNORE_TIME = 800;
+    /**
+     * Offset in pixels between the stacked copies of the items in the
+     * preview of a drag sequence in which multiple items are being dragged.
+     */
+    var MULTI_DRAG_PREVIEW_OFFSET = 4;
+    /**
+     * Reference to a draggable item. Used to manipulate or dispose of the item.
+     */
+    var DragRef = /** @class */ (function () {
+        function DragRef(element, _config, _document, _ngZone, _viewportRuler, _dragDropRegistry) {
+            var _this = this;
+            this._config = _config;
+            this._document = _document;
+            this._ngZone = _ngZone;
+            this._viewportRuler = _viewportRuler;
+            this._dragDropRegistry = _dragDropRegistry;
+            /**
+             * CSS `transform` applied to the element when it isn't being dragged. We need a
+             * passive transform in order for the dragged element to retain its new position
+             * after the user has stopped dragging and because we need to know the relative
+             * position in case they start dragging again. This corresponds to `element.style.transform`.
+             */
+            this._passiveTransform = { x: 0, y: 0 };
+            /** CSS `transform` that is applied to the element while it's being dragged. */
+            this._activeTransform = { x: 0, y: 0 };
+            /**
+             * All of the items that are being dragged, including the current one, when multiple
+             * selected items are being dragged together. Sorted by their index in the initial container.
+             */
+            this._multiDragItems = [];
+            /**
+             * Item whose drag sequence the current item is a part of, if the current item has
+             * been selected together with the item that the user is dragging.
+             * @docs-private
+             */
+            this._multiDragSource = null;
+            /** Emits when the item is being moved. */
+            this._moveEvents = new rxjs.Subject();
+            /** Effect of dropping the item at the current pointer position. */
+            this._dropEffect = 'move';
+            /** Subscription to pointer movement events. */
+            this._pointerMoveSubscription = rxjs.Subscription.EMPTY;
+            /** Subscription to the event that is dispatched when the user lifts their pointer. */
+            this._pointerUpSubscription = rxjs.Subscription.EMPTY;
+            /** Subscription to the viewport being scrolled. */
+            this._scrollSubscription = rxjs.Subscription.EMPTY;
+            /** Subscription to the viewport being resized. */
+            this._resizeSubscription = rxjs.Subscription.EMPTY;
+            /** Cached reference to the boundary element. */
+            this._boundaryElement = null;
+            /** Whether the native dragging interactions have been enabled on the root element. */
+            this._nativeInteractionsEnabled = true;
+            /** Elements that can be used to drag the draggable item. */
+            this._handles = [];
+            /** Registered handles that are currently disabled. */
+            this._disabledHandles = new Set();
+            /** Layout direction of the item. */
+            this._direction = 'ltr';
+            /** Data that is exposed to native drop targets, if the item can be dragged out as native data. */
+            this._nativeDragData = null;
+            /** Whether the `draggable` attribute of the root element was set by the drag ref. */
+            this._hasSetNativeDraggable = false;
+            /** Document that the root element is in, if it was registered because it's inside a frame. */
+            this._registeredDocument = null;
+            /** Whether the current drag sequence was started using the keyboard. */
+            this._isKeyboardDragging = false;
+            /** Element that had focus when a keyboard drag sequence was started. */
+            this._keyboardDragOrigin = null;
+            /** Sort index at which the item was picked up using the keyboard. Used when cancelling. */
+            this._keyboardInitialSortIndex = -1;
+            /** Scrollable parents of the item. Taken into account while it's dragged outside a list. */
+            this._scrollableParents = [];
+            /** Node that is being auto-scrolled while the item is dragged outside of a drop list. */
+            this._autoScrollNode = null;
+            /** Velocity, in pixels per frame, at which the `_autoScrollNode` is being scrolled. */
+            this._autoScrollVelocity = { x: 0, y: 0 };
+            /** Used to signal to the current auto-scroll sequence when to stop. */
+            this._stopAutoScrollTimers = new rxjs.Subject();
+            /**
+             * Amount of milliseconds to wait after the user has put their
+             * pointer down before starting to drag the element.
+             */
+            this.dragStartDelay = 0;
+            /**
+             * Whether to auto-scroll the viewport and the item's scrollable parents when the user moves
+             * their pointer close to the edges while the item is being dragged outside of a drop list.
+             * Items inside of a drop list are auto-scrolled based on the list's settings. Disabled by
+             * default, in order to avoid scrolling the page unexpectedly while a free item is dragged.
+             */
+            this.autoScrollDisabled = true;
+            /**
+             * Distance, in pixels, from the edges of the viewport or a scrollable parent at which to
+             * start auto-scrolling while the item is being dragged outside of a drop list.
+             */
+            this.autoScrollThreshold = 50;
+            /**
+             * Function that determines how fast to auto-scroll, in pixels per frame, while the item is
+             * being dragged outside of a drop list. Gets called with a value between 0 and 1 describing how
+             * close the pointer is to the edge, 1 being at the edge itself.
+             */
+            this.autoScrollSpeed = defaultAutoScrollSpeed;
+            /**
+             * Function used to animate the preview back to the placeholder once the item is dropped and
+             * to animate the placeholder when it enters a new container. The preview is animated using a
+             * CSS transition if no function is set, whereas the placeholder isn't animated.
+             */
+            this.animationFn = null;
+            /**
+             * Whether the item can be picked up and moved around its drop container using the keyboard.
+             * Disabled by default, because the item or one of its handles has to be focusable.
+             */
+            this.keyboardDraggingEnabled = false;
+            this._disabled = false;
+            /** Emits as the drag sequence is being prepared. */
+            this.beforeStarted = new rxjs.Subject();
+            /** Emits when the user starts dragging the item. */
+            this.started = new rxjs.Subject();
+            /** Emits when the user has released a drag item, before any animations have started. */
+            this.released = new rxjs.Subject();
+            /** Emits when the user stops dragging an item in the container. */
+            this.ended = new rxjs.Subject();
+            /** Emits when the user has moved the item into a new container. */
+            this.entered = new rxjs.Subject();
+            /** Emits when the user removes the item its container by dragging it into another container. */
+            this.exited = new rxjs.Subject();
+            /** Emits when the user performs an action while dragging the item using the keyboard. */
+            this.keyboardAction = new rxjs.Subject();
+            /** Emits when the user starts dragging the item out as native data. */
+            this.nativeDragStarted = new rxjs.Subject();
+            /**
+             * Emits when a native drag sequence of the item has ended. The `dropEffect` is `none` if the
+             * data wasn't dropped anywhere, otherwise it's the effect that was picked by the drop target.
+             */
+            this.nativeDragEnded = new rxjs.Subject();
+            /**
+             * Emits when the effect of dropping the item changes, e.g. because the user moved their
+             * pointer over a list that only accepts copies of the item or that refuses it altogether.
+             */
+            this.dropEffectChanged = new rxjs.Subject();
+            /** Emits when an animation of the preview or the placeholder is done. */
+            this.animationDone = new rxjs.Subject();
+            /** Emits when the user drops the item inside a container. */
+            this.dropped = new rxjs.Subject();
+            /**
+             * Emits as the user is dragging the item. Use with caution,
+             * because this event will fire for every pixel that the user has dragged.
+             */
+            this.moved = this._moveEvents;
+            /** Kinds of data that the item represents. Used to match the `acceptRules` of drop lists. */
+            this.kinds = [];
+            /** Starts the interval that'll auto-scroll the `_autoScrollNode`. */
+            this._startAutoScrollInterval = function () {
+                rxjs.interval(0, rxjs.animationFrameScheduler)
+                    .pipe(operators.takeUntil(_this._stopAutoScrollTimers))
+                    .subscribe(function () {
+                    var node = _this._autoScrollNode;
+                    var _a = _this._autoScrollVelocity, x = _a.x, y = _a.y;
+                    if (node) {
+                        if (y) {
+                            incrementVerticalScroll(node, y);
+                        }
+                        if (x) {
+                            incrementHorizontalScroll(node, x);
+                        }
+                    }
+                });
+            };
+            /** Handler for the `mousedown`/`touchstart` events. */
+            this._pointerDown = function (event) {
+                _this.beforeStarted.next();
+                // Delegate the event based on whether it started from a handle or the element itself.
+                if (_this._handles.length) {
+                    var targetHandle = _this._handles.find(function (handle) {
+                        var target = event.target;
+                        return !!target && (target === handle || handle.contains(target));
+                    });
+                    if (targetHandle && !_this._disabledHandles.has(targetHandle) && !_this.disabled) {
+                        _this._initializeDragSequence(targetHandle, event);
+                    }
+                }
+                else if (!_this.disabled) {
+                    _this._initializeDragSequence(_this._rootElement, event);
+                }
+            };
+            /** Handler for the `dragstart` event. Exposes the item's data to native drop targets. */
+            this._nativeDragStart = function (event) {
+                var data = _this._nativeDragData;
+                // Don't handle events coming from any nested elements that are draggable.
+                if (!data || event.target !== _this._rootElement || !event.dataTransfer) {
+                    return;
+                }
+                if (_this.disabled) {
+                    event.preventDefault();
+                    return;
+                }
+                var dataTransfer = event.dataTransfer;
+                Object.keys(data).forEach(function (format) { return dataTransfer.setData(format, data[format]); });
+                dataTransfer.effectAllowed = 'copyMove';
+                _this._ngZone.run(function () { return _this.nativeDragStarted.next({ source: _this, event: event }); });
+            };
+            /** Handler for the `dragend` event of a native drag sequence. */
+            this._nativeDragEnd = function (event) {
+                if (_this._nativeDragData && event.target === _this._rootElement) {
+                    var dropEffect_1 = event.dataTransfer ? event.dataTransfer.dropEffect : 'none';
+                    _this._ngZone.run(function () { return _this.nativeDragEnded.next({ source: _this, dropEffect: dropEffect_1, event: event }); });
+                }
+            };
+            /** Handler for the `click` event. Used to update the selection of the drop container. */
+            this._click = function (event) {
+                // Clicks that are the result of the user dropping the item shouldn't change the selection.
+                if (_this._dropContainer && !_this._hasStartedDragging && !_this.disabled) {
+                    var container_1 = _this._dropContainer;
+                    _this._ngZone.run(function () { return container_1._handleItemClick(_this, event); });
+                }
+            };
+            /** Handler for `keydown` events on the root element. Starts a keyboard drag sequence. */
+            this._keydown = function (event) {
+                var keyCode = event.keyCode;
+                var container = _this._dropContainer;
+                // Keyboard dragging is only supported inside of a drop container, because there's
+                // no meaningful way of moving a standalone item around using the arrow keys.
+                if ((keyCode !== keycodes.SPACE && keyCode !== keycodes.ENTER) || keycodes.hasModifierKey(event) || !container ||
+                    !_this.keyboardDraggingEnabled || _this.disabled || _this.isDragging() ||
+                    _this._isKeyboardDragging || container.isDragging() || container.isReceiving() ||
+                    !_this._isKeyboardDragTarget(event.target)) {
+                    return;
+                }
+                event.preventDefault();
+                _this._ngZone.run(function () { return _this._startKeyboardDragSequence(event); });
+            };
+            /** Handler for `keydown` events on the document while dragging using the keyboard. */
+            this._keyboardDragKeydown = function (event) {
+                var action;
+                switch (event.keyCode) {
+                    case keycodes.UP_ARROW:
+                        action = function () { return _this._moveWithKeyboard('up'); };
+                        break;
+                    case keycodes.DOWN_ARROW:
+                        action = function () { return _this._moveWithKeyboard('down'); };
+                        break;
+                    case keycodes.LEFT_ARROW:
+                        action = function () { return _this._moveWithKeyboard('left'); };
+                        break;
+                    case keycodes.RIGHT_ARROW:
+                        action = function () { return _this._moveWithKeyboard('right'); };
+                        break;
+                    case keycodes.SPACE:
+                    case keycodes.ENTER:
+                        action = function () { return _this._endKeyboardDragSequence(false); };
+                        break;
+                    case keycodes.ESCAPE:
+                        action = function () { return _this._endKeyboardDragSequence(true); };
+                        break;
+                    // Keep focus from moving away while the item is being dragged.
+                    case keycodes.TAB:
+                        action = function () { };
+                        break;
+                }
+                if (action && !keycodes.hasModifierKey(event)) {
+                    event.preventDefault();
+                    event.stopPropagation();
+                    _this._ngZone.run(action);
+                }
+            };
+            /** Handler that is invoked when the user moves their pointer after they've initiated a drag. */
+            this._pointerMove = function (event) {
+                var pointerPosition = _this._getPointerPositionOnPage(event);
+                if (!_this._hasStartedDragging) {
+                    var distanceX = Math.abs(pointerPosition.x - _this._pickupPositionOnPage.x);
+                    var distanceY = Math.abs(pointerPosition.y - _this._pickupPositionOnPage.y);
+                    var isOverThreshold = distanceX + distanceY >= _this._config.dragStartThreshold;
+                    // Only start dragging after the user has moved more than the minimum distance in either
+                    // direction. Note that this is preferrable over doing something like `skip(minimumDistance)`
+                    // in the `pointerMove` subscription, because we're not guaranteed to have one move event
+                    // per pixel of movement (e.g. if the user moves their pointer quickly).
+                    if (isOverThreshold) {
+                        var isDelayElapsed = Date.now() >= _this._dragStartTime + _this._getDragStartDelay(event);
+                        var container = _this._dropContainer;
+                        if (!isDelayElapsed) {
+                            _this._endDragSequence(event);
+                            return;
+                        }
+                        // Prevent other drag sequences from starting while something in the container is still
+                        // being dragged. This can happen while we're waiting for the drop animation to finish
+                        // and can cause errors, because some elements might still be moving around.
+                        if (!container || (!container.isDragging() && !container.isReceiving())) {
+                            // Prevent the default action as soon as the dragging sequence is considered as
+                            // "started" since waiting for the next event can allow the device to begin scrolling.
+                            event.preventDefault();
+                            _this._hasStartedDragging = true;
+                            _this._ngZone.run(function () { return _this._startDragSequence(event); });
+                        }
+                    }
+                    return;
+                }
+                // We only need the preview dimensions if we have a boundary element.
+                if (_this._boundaryElement) {
+                    // Cache the preview element rect if we haven't cached it already or if
+                    // we cached it too early before the element dimensions were computed.
+                    if (!_this._previewRect || (!_this._previewRect.width && !_this._previewRect.height)) {
+                        _this._previewRect =
+                            getMutableClientRect(_this._preview || _this._rootElement, _this._document);
+                    }
+                }
+                // We prevent the default action down here so that we know that dragging has started. This is
+                // important for touch devices where doing this too early can unnecessarily block scrolling,
+                // if there's a dragging delay.
+                event.preventDefault();
+                var constrainedPointerPosition = _this._getConstrainedPointerPosition(pointerPosition);
+                _this._hasMoved = true;
+                _this._lastKnownPointerPosition = pointerPosition;
+                _this._updatePointerDirectionDelta(constrainedPointerPosition);
+                if (_this._dropContainer) {
+                    _this._updateActiveDropContainer(constrainedPointerPosition, pointerPosition);
+                }
+                else {
+                    var activeTransform = _this._activeTransform;
+                    activeTransform.x =
+                        constrainedPointerPosition.x - _this._pickupPositionOnPage.x + _this._passiveTransform.x;
+                    activeTransform.y =
+                        constrainedPointerPosition.y - _this._pickupPositionOnPage.y + _this._passiveTransform.y;
+                    if (_this.constrainFreeDragPosition) {
+                        var _a = _this.constrainFreeDragPosition(Object.assign({}, activeTransform), _this), x = _a.x, y = _a.y;
+                        activeTransform.x = x;
+                        activeTransform.y = y;
+                    }
+                    _this._applyRootElementTransform(activeTransform.x, activeTransform.y);
+                    // Apply transform as attribute if dragging and svg element to work for IE
+                    if (typeof SVGElement !== 'undefined' && _this._rootElement instanceof SVGElement) {
+                        var appliedTransform = "translate(" + activeTransform.x + " " + activeTransform.y + ")";
+                        _this._rootElement.setAttribute('transform', appliedTransform);
+                    }
+                    _this._startAutoScrollIfNecessary(pointerPosition.x, pointerPosition.y);
+                }
+                // Since this event gets fired for every pixel while dragging, we only
+                // want to fire it if the consumer opted into it. Also we have to
+                // re-enter the zone because we run all of the events on the outside.
+                if (_this._moveEvents.observers.length) {
+                    _this._ngZone.run(function () {
+                        _this._moveEvents.next({
+                            source: _this,
+                            pointerPosition: constrainedPointerPosition,
+                            event: event,
+                            distance: _this._getDragDistance(constrainedPointerPosition),
+                            delta: _this._pointerDirectionDelta,
+                            level: _this._dropContainer ?
+                                _this._initialContainer._getContainerLevel(_this._dropContainer) : 0
+                        });
+                    });
+                }
+            };
+            /** Handler that is invoked when the user lifts their pointer up, after initiating a drag. */
+            this._pointerUp = function (event) {
+                _this._endDragSequence(event);
+            };
+            this.withRootElement(element).withParent(_config.parentDragRef || null);
+            this._parentPositions = new ParentPositionTracker(_document, _viewportRuler);
+            _dragDropRegistry.registerDragItem(this);
+        }
+        Object.defineProperty(DragRef.prototype, "disabled", {
+            /** Whether starting to drag this element is disabled. */
+            get: function () {
+                return this._disabled || !!(this._dropContainer && this._dropContainer.disabled);
+            },
+            set: function (value) {
+                var newValue = coercion.coerceBooleanProperty(value);
+                if (newValue !== this._disabled) {
+                    this._disabled = newValue;
+                    this._toggleNativeDragInteractions();
+                    this._handles.forEach(function (handle) { return toggleNativeDragInteractions(handle, newValue); });
+                }
+            },
+            enumerable: false,
+            configurable: true
+        });
+        /**
+         * Returns the element that is being used as a placeholder
+         * while the current element is being dragged.
+         */
+        DragRef.prototype.getPlaceholderElement = function () {
             return this._placeholder;
         };
         /** Returns the root draggable element. */
@@ -507,6 +1350,10 @@
         DragRef.prototype.getVisibleElement = function () {
             return this.isDragging() ? this.getPlaceholderElement() : this.getRootElement();
         };
+        /** Whether the item is part of the selection of its drop container. */
+        DragRef.prototype.isSelected = function () {
+            return !!this._dropContainer && this._dropContainer.isItemSelected(this);
+        };
         /** Registers the handles that can be used to drag the element. */
         DragRef.prototype.withHandles = function (handles) {
             var _this = this;
@@ -557,9 +1404,14 @@
                 this._ngZone.runOutsideAngular(function () {
                     element.addEventListener('mousedown', _this._pointerDown, activeEventListenerOptions);
                     element.addEventListener('touchstart', _this._pointerDown, passiveEventListenerOptions);
+                    element.addEventListener('click', _this._click);
+                    element.addEventListener('keydown', _this._keydown);
+                    element.addEventListener('dragstart', _this._nativeDragStart);
+                    element.addEventListener('dragend', _this._nativeDragEnd);
                 });
                 this._initialTransform = undefined;
                 this._rootElement = element;
+                this._syncNativeDraggable();
             }
             if (typeof SVGElement !== 'undefined' && this._rootElement instanceof SVGElement) {
                 this._ownerSVGElement = this._rootElement.ownerSVGElement;
@@ -590,16 +1442,21 @@
             this._removeRootElementListeners(this._rootElement);
             // Do this check before removing from the registry since it'll
             // stop being considered as dragged once it is removed.
-            if (this.isDragging()) {
+            if (this.isDragging() || this._multiDragSource) {
                 // Since we move out the element to the end of the body while it's being
                 // dragged, we have to make sure that it's removed if it gets destroyed.
                 removeNode(this._rootElement);
             }
             removeNode(this._anchor);
+            this._resetDropEffect();
             this._destroyPreview();
             this._destroyPlaceholder();
             this._dragDropRegistry.removeDragItem(this);
             this._removeSubscriptions();
+            if (this._registeredDocument) {
+                this._dragDropRegistry.removeDocument(this._registeredDocument);
+                this._registeredDocument = null;
+            }
             this.beforeStarted.complete();
             this.started.complete();
             this.released.complete();
@@ -607,14 +1464,26 @@
             this.entered.complete();
             this.exited.complete();
             this.dropped.complete();
+            this.keyboardAction.complete();
+            this.nativeDragStarted.complete();
+            this.nativeDragEnded.complete();
+            this.animationDone.complete();
+            this.dropEffectChanged.complete();
             this._moveEvents.complete();
             this._handles = [];
             this._disabledHandles.clear();
             this._dropContainer = undefined;
             this._resizeSubscription.unsubscribe();
+            this._stopAutoScrollTimers.complete();
+            this._scrollableParents = [];
             this._parentPositions.clear();
+            this._multiDragItems = [];
             this._boundaryElement = this._rootElement = this._ownerSVGElement = this._placeholderTemplate =
-                this._previewTemplate = this._anchor = this._parentDragRef = null;
+                this._previewTemplate = this._anchor = this._parentDragRef = this._multiDragSource = null;
+        };
+        /** Whether the item is currently being dragged using the keyboard. */
+        DragRef.prototype.isKeyboardDragging = function () {
+            return this._isKeyboardDragging && this.isDragging();
         };
         /** Checks whether the element is currently being dragged. */
         DragRef.prototype.isDragging = function () {
@@ -651,6 +1520,19 @@
             this._direction = direction;
             return this;
         };
+        /**
+         * Sets the scrollable parents of the item. They'll be auto-scrolled when the user moves
+         * their pointer close to their edges while the item is being dragged outside of a drop list.
+         * @param elements Elements that can be scrolled, ordered from the innermost to the outermost.
+         */
+        DragRef.prototype.withScrollableParents = function (elements) {
+            this._scrollableParents = elements.slice();
+            return this;
+        };
+        /** Gets the scrollable parents that are registered with the item. */
+        DragRef.prototype.getScrollableParents = function () {
+            return this._scrollableParents;
+        };
         /** Sets the container that the item is part of. */
         DragRef.prototype._withDropContainer = function (container) {
             this._dropContainer = container;
@@ -683,18 +1565,113 @@
             this._previewContainer = value;
             return this;
         };
+        /**
+         * Allows the item to be dragged out as native data, e.g. into a different browser tab, another
+         * application or a drop list that accepts native drops. While native data is set, the item is
+         * dragged by the browser's own drag&drop, rather than by the CDK, and its handles are ignored.
+         * @param data Data to be exposed to the drop targets, keyed by its format (e.g. `text/plain`).
+         *     Pass in `null` to go back to dragging the item using the CDK.
+         */
+        DragRef.prototype.withNativeDragData = function (data) {
+            this._nativeDragData = data;
+            this._syncNativeDraggable();
+            return this;
+        };
         /** Updates the item's sort order based on the last-known pointer position. */
         DragRef.prototype._sortFromLastPointerPosition = function () {
+            // Items dragged using the keyboard aren't sorted based on their position. Keep the
+            // preview on top of the placeholder instead, since it moves when the list is scrolled.
+            if (this._isKeyboardDragging) {
+                this._syncKeyboardDragPosition();
+                return;
+            }
             var position = this._lastKnownPointerPosition;
             if (position && this._dropContainer) {
                 this._updateActiveDropContainer(this._getConstrainedPointerPosition(position), position);
             }
         };
+        /**
+         * Moves the item out of its container while it's being dragged together with another item.
+         * @param source Item that the user is dragging.
+         * @docs-private
+         */
+        DragRef.prototype._detachForMultiDrag = function (source) {
+            var element = this._rootElement;
+            var anchor = this._anchor = this._anchor || this._document.createComment('');
+            // Similarly to the item being dragged, we hide the element and move it to the end of the
+            // body so that it doesn't take up space in the list, while we keep track of its position.
+            this._multiDragSource = source;
+            element.parentNode.insertBefore(anchor, element);
+            toggleVisibility(element, false);
+            this._getRootDocument().body.appendChild(element);
+        };
+        /**
+         * Restores the item to its position in the DOM after it was dragged together with another item.
+         * @docs-private
+         */
+        DragRef.prototype._restoreAfterMultiDrag = function () {
+            toggleVisibility(this._rootElement, true);
+            this._anchor.parentNode.replaceChild(this._rootElement, this._anchor);
+            this._multiDragSource = null;
+        };
         /** Unsubscribes from the global subscriptions. */
         DragRef.prototype._removeSubscriptions = function () {
             this._pointerMoveSubscription.unsubscribe();
             this._pointerUpSubscription.unsubscribe();
             this._scrollSubscription.unsubscribe();
+            this._getRootDocument().removeEventListener('keydown', this._keyboardDragKeydown, true);
+            this._stopAutoScrolling();
+        };
+        /**
+         * Starts auto-scrolling the closest scrollable parent or the viewport if the user's pointer
+         * is close to their edges, while the item is being dragged outside of a drop list.
+         * @param pointerX User's pointer position along the x axis.
+         * @param pointerY User's pointer position along the y axis.
+         */
+        DragRef.prototype._startAutoScrollIfNecessary = function (pointerX, pointerY) {
+            var _this = this;
+            if (this.autoScrollDisabled) {
+                return;
+            }
+            var threshold = this.autoScrollThreshold;
+            var speed = this.autoScrollSpeed;
+            var scrollNode;
+            var velocity = { x: 0, y: 0 };
+            // Check whether we should start scrolling any of the parent containers.
+            this._parentPositions.positions.forEach(function (position, element) {
+                // The viewport is handled below.
+                if (element === _this._document || !position.clientRect || scrollNode) {
+                    return;
+                }
+                var elementVelocity = getAutoScrollVelocity(position.clientRect, pointerX, pointerY, threshold, speed, element);
+                if (elementVelocity.x || elementVelocity.y) {
+                    scrollNode = element;
+                    velocity = elementVelocity;
+                }
+            });
+            // Otherwise check if we can start scrolling the viewport.
+            if (!scrollNode) {
+                var _a = this._viewportRuler.getViewportSize(), width = _a.width, height = _a.height;
+                var clientRect = { width: width, height: height, top: 0, right: width, bottom: height, left: 0 };
+                velocity = getAutoScrollVelocity(clientRect, pointerX, pointerY, threshold, speed);
+                scrollNode = window;
+            }
+            if (!velocity.x && !velocity.y) {
+                this._stopAutoScrolling();
+            }
+            else {
+                var isScrolling = !!this._autoScrollNode;
+                this._autoScrollNode = scrollNode;
+                this._autoScrollVelocity = velocity;
+                if (!isScrolling) {
+                    this._ngZone.runOutsideAngular(this._startAutoScrollInterval);
+                }
+            }
+        };
+        /** Stops auto-scrolling while the item is being dragged outside of a drop list. */
+        DragRef.prototype._stopAutoScrolling = function () {
+            this._stopAutoScrollTimers.next();
+            this._autoScrollNode = null;
         };
         /** Destroys the preview element and its ViewRef. */
         DragRef.prototype._destroyPreview = function () {
@@ -732,6 +1709,7 @@
             this._removeSubscriptions();
             this._dragDropRegistry.stopDragging(this);
             this._toggleNativeDragInteractions();
+            this._resetDropEffect();
             if (this._handles) {
                 this._rootElement.style.webkitTapHighlightColor = this._rootElementTapHighlight;
             }
@@ -743,7 +1721,7 @@
                 // Stop scrolling immediately, instead of waiting for the animation to finish.
                 this._dropContainer._stopScrolling();
                 this._animatePreviewToPlaceholder().then(function () {
-                    _this._cleanupDragArtifacts(event);
+                    _this._cleanupDragArtifacts(_this._getPointerPositionOnPage(event));
                     _this._cleanupCachedDimensions();
                     _this._dragDropRegistry.stopDragging(_this);
                 });
@@ -766,6 +1744,7 @@
         };
         /** Starts the dragging sequence. */
         DragRef.prototype._startDragSequence = function (event) {
+            var _this = this;
             if (isTouchEvent(event)) {
                 this._lastTouchEventTime = Date.now();
             }
@@ -774,6 +1753,7 @@
             if (dropContainer) {
                 var element = this._rootElement;
                 var parent = element.parentNode;
+                var multiDragItems = this._multiDragItems = dropContainer._getMultiDragItems(this);
                 var preview = this._preview = this._createPreviewElement();
                 var placeholder = this._placeholder = this._createPlaceholderElement();
                 var anchor = this._anchor = this._anchor || this._document.createComment('');
@@ -781,24 +1761,42 @@
                 var shadowRoot = this._getShadowRoot();
                 // Insert an anchor node so that we can restore the element's position in the DOM.
                 parent.insertBefore(anchor, element);
+                // The rest of the selected items are dragged together with the current one
+                // so they have to leave their places in the list while the user is dragging.
+                multiDragItems.forEach(function (item) { return item !== _this && item._detachForMultiDrag(_this); });
                 // We move the element out at the end of the body and we make it hidden, because keeping it in
                 // place will throw off the consumer's `:last-child` selectors. We can't remove the element
                 // from the DOM completely, because iOS will stop firing all subsequent events in the chain.
                 toggleVisibility(element, false);
-                this._document.body.appendChild(parent.replaceChild(placeholder, element));
+                this._getRootDocument().body.appendChild(parent.replaceChild(placeholder, element));
                 this._getPreviewInsertionPoint(parent, shadowRoot).appendChild(preview);
                 this.started.next({ source: this }); // Emit before notifying the container.
                 dropContainer.start();
                 this._initialContainer = dropContainer;
-                this._initialIndex = dropContainer.getItemIndex(this);
+                this._dropEffect = 'move';
+                preview.classList.add('cdk-drag-effect-move');
+                if (multiDragItems.length > 1) {
+                    // Use the indices in the list, rather than the sorted ones, since
+                    // the rest of the dragged items aren't part of the sorting anymore.
+                    multiDragItems.sort(function (a, b) {
+                        return dropContainer._getDraggableIndex(a) - dropContainer._getDraggableIndex(b);
+                    });
+                    this._initialIndex = dropContainer._getDraggableIndex(this);
+                    this._initialIndices = multiDragItems.map(function (item) { return dropContainer._getDraggableIndex(item); });
+                }
+                else {
+                    this._initialIndex = dropContainer.getItemIndex(this);
+                    this._initialIndices = [this._initialIndex];
+                }
             }
             else {
                 this.started.next({ source: this });
-                this._initialContainer = this._initialIndex = undefined;
+                this._initialContainer = this._initialIndex = this._initialIndices = undefined;
             }
             // Important to run after we've called `start` on the parent container
             // so that it has had time to resolve its scrollable parents.
-            this._parentPositions.cache(dropContainer ? dropContainer.getScrollableParents() : []);
+            this._parentPositions.cache(dropContainer ?
+                dropContainer.getScrollableParents() : this._scrollableParents);
         };
         /**
          * Sets up the different variables and subscriptions
@@ -813,6 +1811,10 @@
             if (this._parentDragRef) {
                 event.stopPropagation();
             }
+            // Items that can be dragged out as native data are dragged by the browser.
+            if (this._nativeDragData) {
+                return;
+            }
             var isDragging = this.isDragging();
             var isTouchSequence = isTouchEvent(event);
             var isAuxiliaryMouseButton = !isTouchSequence && event.button !== 0;
@@ -849,7 +1851,7 @@
                 _this._updateOnScroll(scrollEvent);
             });
             if (this._boundaryElement) {
-                this._boundaryRect = getMutableClientRect(this._boundaryElement);
+                this._boundaryRect = getMutableClientRect(this._boundaryElement, this._document);
             }
             // If we have a custom preview we can't know ahead of time how large it'll be so we position
             // it next to the cursor. The exception is when the consumer has opted into making the preview
@@ -863,10 +1865,14 @@
             this._pointerDirectionDelta = { x: 0, y: 0 };
             this._pointerPositionAtLastDirectionChange = { x: pointerPosition.x, y: pointerPosition.y };
             this._dragStartTime = Date.now();
+            this._registerRootDocument();
             this._dragDropRegistry.startDragging(this, event);
         };
-        /** Cleans up the DOM artifacts that were added to facilitate the element being dragged. */
-        DragRef.prototype._cleanupDragArtifacts = function (event) {
+        /**
+         * Cleans up the DOM artifacts that were added to facilitate the element being dragged.
+         * @param pointerPosition Position of the pointer at the time the item was dropped.
+         */
+        DragRef.prototype._cleanupDragArtifacts = function (pointerPosition) {
             var _this = this;
             // Restore the element's visibility and insert it at its old position in the DOM.
             // It's important that we maintain the position, because moving the element around in the DOM
@@ -874,6 +1880,9 @@
             // while moving the existing elements in all other cases.
             toggleVisibility(this._rootElement, true);
             this._anchor.parentNode.replaceChild(this._rootElement, this._anchor);
+            var multiDragItems = this._multiDragItems;
+            multiDragItems.forEach(function (item) { return item !== _this && item._restoreAfterMultiDrag(); });
+            this._multiDragItems = [];
             this._destroyPreview();
             this._destroyPlaceholder();
             this._boundaryRect = this._previewRect = undefined;
@@ -881,20 +1890,23 @@
             this._ngZone.run(function () {
                 var container = _this._dropContainer;
                 var currentIndex = container.getItemIndex(_this);
-                var pointerPosition = _this._getPointerPositionOnPage(event);
-                var distance = _this._getDragDistance(_this._getPointerPositionOnPage(event));
+                var distance = _this._getDragDistance(pointerPosition);
                 var isPointerOverContainer = container._isOverContainer(pointerPosition.x, pointerPosition.y);
+                var items = multiDragItems.length ? multiDragItems : [_this];
                 _this.ended.next({ source: _this, distance: distance });
                 _this.dropped.next({
                     item: _this,
+                    items: items,
                     currentIndex: currentIndex,
                     previousIndex: _this._initialIndex,
+                    previousIndices: _this._initialIndices,
                     container: container,
                     previousContainer: _this._initialContainer,
                     isPointerOverContainer: isPointerOverContainer,
-                    distance: distance
+                    distance: distance,
+                    dropEffect: container.getDropEffect(_this)
                 });
-                container.drop(_this, currentIndex, _this._initialIndex, _this._initialContainer, isPointerOverContainer, distance);
+                container.drop(_this, currentIndex, _this._initialIndex, _this._initialContainer, isPointerOverContainer, distance, items, _this._initialIndices);
                 _this._dropContainer = _this._initialContainer;
             });
         };
@@ -917,28 +1929,230 @@
                 newContainer = this._initialContainer;
             }
             if (newContainer && newContainer !== this._dropContainer) {
-                this._ngZone.run(function () {
-                    // Notify the old container that the item has left.
-                    _this.exited.next({ item: _this, container: _this._dropContainer });
-                    _this._dropContainer.exit(_this);
-                    // Notify the new container that the item has entered.
-                    _this._dropContainer = newContainer;
-                    _this._dropContainer.enter(_this, x, y, newContainer === _this._initialContainer &&
-                        // If we're re-entering the initial container and sorting is disabled,
-                        // put item the into its starting index to begin with.
-                        newContainer.sortingDisabled ? _this._initialIndex : undefined);
-                    _this.entered.next({
-                        item: _this,
-                        container: newContainer,
-                        currentIndex: newContainer.getItemIndex(_this)
-                    });
-                });
+                this._ngZone.run(function () { return _this._moveToContainer(newContainer, x, y); });
             }
+            // If the pointer is over a list that refuses the item, show the user that it
+            // can't be dropped there, even though it stays inside its current container.
+            var refusingContainer = newContainer ? undefined :
+                this._initialContainer._getRefusingSiblingFromPosition(x, y);
+            this._updateDropEffect(refusingContainer || this._dropContainer);
             this._dropContainer._startScrollingIfNecessary(rawX, rawY);
             this._dropContainer._sortItem(this, x, y, this._pointerDirectionDelta);
             this._preview.style.transform =
                 getTransform(x - this._pickupPositionInElement.x, y - this._pickupPositionInElement.y);
         };
+        /**
+         * Updates the effect of dropping the item, based on the container that the user is over.
+         * @param container Container whose effect should be applied.
+         */
+        DragRef.prototype._updateDropEffect = function (container) {
+            var effect = container.getDropEffect(this);
+            var previousEffect = this._dropEffect;
+            if (effect !== previousEffect) {
+                var classList = this._preview.classList;
+                classList.remove("cdk-drag-effect-" + previousEffect);
+                classList.add("cdk-drag-effect-" + effect);
+                // The preview doesn't receive pointer events so the cursor is set through a class on the
+                // body. The cursors themselves come from the `cdk-drag-drop` Sass mixin or from the
+                // `drag-drop-prebuilt.css` file, which also apply them to elements with their own cursor.
+                var bodyClassList = this._document.body.classList;
+                bodyClassList.remove("cdk-drag-drop-effect-" + previousEffect);
+                if (DROP_EFFECT_CURSORS[effect]) {
+                    bodyClassList.add("cdk-drag-drop-effect-" + effect);
+                }
+                this._dropEffect = effect;
+                this.dropEffectChanged.next({ source: this, container: container, effect: effect });
+            }
+        };
+        /** Restores the cursor that was changed while showing the drop effect feedback. */
+        DragRef.prototype._resetDropEffect = function () {
+            if (DROP_EFFECT_CURSORS[this._dropEffect]) {
+                this._document.body.classList.remove("cdk-drag-drop-effect-" + this._dropEffect);
+            }
+        };
+        /**
+         * Moves the item from its current container into a different one.
+         * @param newContainer Container into which to move the item.
+         * @param x Position of the item along the X axis.
+         * @param y Position of the item along the Y axis.
+         * @param index Index at which to insert the item. Determined from the position if omitted.
+         */
+        DragRef.prototype._moveToContainer = function (newContainer, x, y, index) {
+            // If we're re-entering the initial container and sorting is disabled,
+            // put item the into its starting index to begin with.
+            if (index == null && newContainer === this._initialContainer && newContainer.sortingDisabled) {
+                index = this._initialIndex;
+            }
+            // Measure the placeholder before it's moved so that it can be animated from its old position.
+            var previousRect = this.animationFn ? this._placeholder.getBoundingClientRect() : null;
+            // Notify the old container that the item has left.
+            this.exited.next({ item: this, container: this._dropContainer });
+            this._dropContainer.exit(this);
+            // Notify the new container that the item has entered.
+            this._dropContainer = newContainer;
+            newContainer.enter(this, x, y, index);
+            this._updateDropEffect(newContainer);
+            if (previousRect) {
+                var currentRect = this._placeholder.getBoundingClientRect();
+                this._runAnimation({
+                    type: 'enter',
+                    element: this._placeholder,
+                    item: this,
+                    from: { x: previousRect.left - currentRect.left, y: previousRect.top - currentRect.top },
+                    to: { x: 0, y: 0 }
+                });
+            }
+            this.entered.next({
+                item: this,
+                container: newContainer,
+                currentIndex: newContainer.getItemIndex(this)
+            });
+        };
+        /**
+         * Whether a keyboard drag sequence can be started from an element. If the item has handles,
+         * the sequence has to start from one of them, otherwise it has to start from the root element.
+         */
+        DragRef.prototype._isKeyboardDragTarget = function (target) {
+            if (this._handles.length) {
+                return this._handles.indexOf(target) > -1 && !this._disabledHandles.has(target);
+            }
+            return target === this._rootElement;
+        };
+        /** Starts dragging the item using the keyboard. */
+        DragRef.prototype._startKeyboardDragSequence = function (event) {
+            var _this = this;
+            // Give the consumer a chance to sync up their configuration, like `_pointerDown` does.
+            this.beforeStarted.next();
+            if (this.disabled) {
+                return;
+            }
+            var container = this._dropContainer;
+            var rootRect = getMutableClientRect(this._rootElement, this._document);
+            var position = { x: rootRect.left + rootRect.width / 2, y: rootRect.top + rootRect.height / 2 };
+            this._isKeyboardDragging = true;
+            this._keyboardDragOrigin = event.target;
+            this._hasStartedDragging = true;
+            this._hasMoved = false;
+            // Treat the center of the element as the position of the pointer. Custom previews that
+            // don't match the element's size are positioned from their top left corner instead.
+            var previewTemplate = this._previewTemplate;
+            this._pickupPositionInElement = previewTemplate && previewTemplate.template &&
+                !previewTemplate.matchSize ? { x: 0, y: 0 } : { x: rootRect.width / 2, y: rootRect.height / 2 };
+            this._pickupPositionOnPage = this._lastKnownPointerPosition = position;
+            this._pointerDirectionDelta = { x: 0, y: 0 };
+            this._pointerPositionAtLastDirectionChange = { x: position.x, y: position.y };
+            this._dragStartTime = Date.now();
+            this._removeSubscriptions();
+            this._scrollSubscription = this._dragDropRegistry.scroll.subscribe(function (scrollEvent) {
+                _this._updateOnScroll(scrollEvent);
+            });
+            this._ngZone.runOutsideAngular(function () {
+                // The root element loses focus once it's moved out of the list so we listen on the document.
+                _this._getRootDocument().addEventListener('keydown', _this._keyboardDragKeydown, true);
+            });
+            this._registerRootDocument();
+            this._dragDropRegistry.startDragging(this, event);
+            this._startDragSequence(event);
+            this._keyboardInitialSortIndex = container._getSortIndex(this);
+            this._emitKeyboardAction('started');
+        };
+        /**
+         * Moves the item in the specified direction while dragging using the keyboard. The item is
+         * moved to the next position within its container or into a connected container once it
+         * can't be moved any further.
+         */
+        DragRef.prototype._moveWithKeyboard = function (direction) {
+            var container = this._dropContainer;
+            var newIndex = container._getKeyboardSortIndex(this, direction);
+            if (newIndex > -1) {
+                container._sortItemToIndex(this, newIndex);
+            }
+            else {
+                var itemRect = getMutableClientRect(this._placeholder, this._document);
+                var newContainer = this._initialContainer._getSiblingContainerInDirection(this, container, itemRect, direction);
+                if (!newContainer) {
+                    return;
+                }
+                // Enter the new container from the edge that is closest to the current position.
+                var containerRect = getMutableClientRect(coercion.coerceElement(newContainer.element), this._document);
+                var centerX = clamp(itemRect.left + itemRect.width / 2, containerRect.left + 1, containerRect.right - 1);
+                var centerY = clamp(itemRect.top + itemRect.height / 2, containerRect.top + 1, containerRect.bottom - 1);
+                var x = direction === 'left' ? containerRect.right - 1 :
+                    (direction === 'right' ? containerRect.left + 1 : centerX);
+                var y = direction === 'up' ? containerRect.bottom - 1 :
+                    (direction === 'down' ? containerRect.top + 1 : centerY);
+                this._moveToContainer(newContainer, x, y);
+            }
+            this._hasMoved = true;
+            this._dropContainer._scrollIntoView(this._placeholder);
+            this._syncKeyboardDragPosition();
+            this._emitKeyboardAction('moved');
+        };
+        /**
+         * Ends a drag sequence that was started using the keyboard.
+         * @param cancel Whether the item should be returned to its initial position.
+         */
+        DragRef.prototype._endKeyboardDragSequence = function (cancel) {
+            var _this = this;
+            if (!this.isKeyboardDragging()) {
+                return;
+            }
+            if (cancel) {
+                var initialContainer = this._initialContainer;
+                if (this._dropContainer !== initialContainer) {
+                    var rect = getMutableClientRect(coercion.coerceElement(initialContainer.element), this._document);
+                    this._moveToContainer(initialContainer, rect.left + 1, rect.top + 1, initialContainer._getDraggableIndex(this));
+                }
+                if (initialContainer._getSortIndex(this) !== this._keyboardInitialSortIndex) {
+                    initialContainer._sortItemToIndex(this, this._keyboardInitialSortIndex);
+                }
+                initialContainer._scrollIntoView(this._placeholder);
+                this._syncKeyboardDragPosition();
+            }
+            var container = this._dropContainer;
+            var currentIndex = container.getItemIndex(this);
+            var pointerPosition = this._lastKnownPointerPosition;
+            var origin = this._keyboardDragOrigin;
+            this._removeSubscriptions();
+            this._dragDropRegistry.stopDragging(this);
+            this._toggleNativeDragInteractions();
+            this._resetDropEffect();
+            this.released.next({ source: this });
+            container._stopScrolling();
+            this._animatePreviewToPlaceholder().then(function () {
+                _this._cleanupDragArtifacts(pointerPosition);
+                _this._cleanupCachedDimensions();
+                _this._isKeyboardDragging = false;
+                _this._keyboardDragOrigin = null;
+                // The drop container is reset to the initial one during the cleanup
+                // so we have to report the container that the item was dropped into.
+                _this._emitKeyboardAction(cancel ? 'cancelled' : 'dropped', container, currentIndex);
+                // Restore focus since the element lost it when it was moved out of the list.
+                if (origin && typeof origin.focus === 'function') {
+                    origin.focus();
+                }
+            });
+        };
+        /** Moves the preview and the reference position to where the placeholder is rendered. */
+        DragRef.prototype._syncKeyboardDragPosition = function () {
+            var placeholderRect = getMutableClientRect(this._placeholder, this._document);
+            var position = this._lastKnownPointerPosition = {
+                x: placeholderRect.left + placeholderRect.width / 2,
+                y: placeholderRect.top + placeholderRect.height / 2
+            };
+            this._preview.style.transform = getTransform(position.x - this._pickupPositionInElement.x, position.y - this._pickupPositionInElement.y);
+        };
+        /**
+         * Emits a keyboard action through the `keyboardAction` stream.
+         * @param action Action that should be emitted.
+         * @param container Container that the item is in. Defaults to the current drop container.
+         * @param currentIndex Index of the item in the container. Measured if omitted.
+         */
+        DragRef.prototype._emitKeyboardAction = function (action, container, currentIndex) {
+            if (container === void 0) { container = this._dropContainer; }
+            if (currentIndex === void 0) { currentIndex = container.getItemIndex(this); }
+            this.keyboardAction.next({ source: this, action: action, container: container, currentIndex: currentIndex });
+        };
         /**
          * Creates the element that will be rendered next to the user's pointer
          * and will be used as a preview of the element that is being dragged.
@@ -991,8 +2205,40 @@
                     preview.classList.add(previewClass);
                 }
             }
+            if (this._multiDragItems.length > 1) {
+                this._addMultiDragItemsToPreview(preview);
+            }
             return preview;
         };
+        /**
+         * Adds copies of the rest of the items that are being dragged to the preview
+         * element. The copies are stacked behind the preview with a small offset.
+         */
+        DragRef.prototype._addMultiDragItemsToPreview = function (preview) {
+            var _this = this;
+            var offset = 0;
+            preview.classList.add('cdk-drag-preview-multiple');
+            this._multiDragItems.forEach(function (item) {
+                if (item === _this) {
+                    return;
+                }
+                var element = item.getRootElement();
+                var clone = deepCloneNode(element);
+                offset += MULTI_DRAG_PREVIEW_OFFSET;
+                matchElementSize(clone, element.getBoundingClientRect());
+                extendStyles(clone.style, {
+                    pointerEvents: 'none',
+                    margin: '0',
+                    position: 'absolute',
+                    top: '0',
+                    left: '0',
+                    zIndex: '-1',
+                    transform: getTransform(offset, offset)
+                });
+                clone.classList.add('cdk-drag-preview-stacked-item');
+                preview.appendChild(clone);
+            });
+        };
         /**
          * Animates the preview element from its current position to the location of the drop placeholder.
          * @returns Promise that resolves when the animation completes.
@@ -1003,7 +2249,18 @@
             if (!this._hasMoved) {
                 return Promise.resolve();
             }
-            var placeholderRect = this._placeholder.getBoundingClientRect();
+            var placeholderRect = getMutableClientRect(this._placeholder, this._document);
+            if (this.animationFn) {
+                var previewRect = this._preview.getBoundingClientRect();
+                this._preview.style.transform = getTransform(placeholderRect.left, placeholderRect.top);
+                return this._runAnimation({
+                    type: 'return',
+                    element: this._preview,
+                    item: this,
+                    from: { x: previewRect.left, y: previewRect.top },
+                    to: { x: placeholderRect.left, y: placeholderRect.top }
+                });
+            }
             // Apply the class that adds a transition to the preview.
             this._preview.classList.add('cdk-drag-animating');
             // Move the preview to the placeholder position.
@@ -1013,23 +2270,22 @@
             // apply its style, we take advantage of the available info to figure out whether we need to
             // bind the event in the first place.
             var duration = getTransformTransitionDurationInMs(this._preview);
-            if (duration === 0) {
-                return Promise.resolve();
-            }
+            var preview = this._preview;
             return this._ngZone.runOutsideAngular(function () {
-                return new Promise(function (resolve) {
-                    var handler = (function (event) {
-                        if (!event || (event.target === _this._preview && event.propertyName === 'transform')) {
-                            _this._preview.removeEventListener('transitionend', handler);
-                            resolve();
-                            clearTimeout(timeout);
-                        }
-                    });
-                    // If a transition is short enough, the browser might not fire the `transitionend` event.
-                    // Since we know how long it's supposed to take, add a timeout with a 50% buffer that'll
-                    // fire if the transition hasn't completed when it was supposed to.
-                    var timeout = setTimeout(handler, duration * 1.5);
-                    _this._preview.addEventListener('transitionend', handler);
+                return waitForTransformTransition(preview, duration).then(function () {
+                    _this.animationDone.next({ source: _this, type: 'return', element: preview });
+                });
+            });
+        };
+        /**
+         * Hands off an animation of the preview or the placeholder to the `animationFn`.
+         * @returns Promise that resolves when the animation completes.
+         */
+        DragRef.prototype._runAnimation = function (animation) {
+            var _this = this;
+            return this._ngZone.runOutsideAngular(function () {
+                return runDragAnimation(_this.animationFn, animation).then(function () {
+                    _this.animationDone.next({ source: _this, type: animation.type, element: animation.element });
                 });
             });
         };
@@ -1059,14 +2315,29 @@
             var handleElement = referenceElement === this._rootElement ? null : referenceElement;
             var referenceRect = handleElement ? handleElement.getBoundingClientRect() : elementRect;
             var point = isTouchEvent(event) ? event.targetTouches[0] : event;
-            var scrollPosition = this._getViewportScrollPosition();
-            var x = point.pageX - referenceRect.left - scrollPosition.left;
-            var y = point.pageY - referenceRect.top - scrollPosition.top;
+            var x;
+            var y;
+            // The viewport scroll position is for the main document so we can't use
+            // it if the event came from a frame. Both rects are in the frame's viewport.
+            if (this._isEventFromFrame(event)) {
+                x = point.clientX - referenceRect.left;
+                y = point.clientY - referenceRect.top;
+            }
+            else {
+                var scrollPosition = this._getViewportScrollPosition();
+                x = point.pageX - referenceRect.left - scrollPosition.left;
+                y = point.pageY - referenceRect.top - scrollPosition.top;
+            }
             return {
                 x: referenceRect.left - elementRect.left + x,
                 y: referenceRect.top - elementRect.top + y
             };
         };
+        /** Whether an event was dispatched inside a frame, rather than the main document. */
+        DragRef.prototype._isEventFromFrame = function (event) {
+            var eventDocument = getEventDocument(event);
+            return !!eventDocument && eventDocument !== this._document;
+        };
         /** Determines the point of the page that was touched by the user. */
         DragRef.prototype._getPointerPositionOnPage = function (event) {
             var scrollPosition = this._getViewportScrollPosition();
@@ -1078,9 +2349,21 @@
                 // throwing an error. The value returned here will be incorrect, but since this only
                 // breaks inside a developer tool and the value is only used for secondary information,
                 // we can get away with it. See https://bugzilla.mozilla.org/show_bug.cgi?id=1615824.
-                (event.touches[0] || event.changedTouches[0] || { pageX: 0, pageY: 0 }) : event;
-            var x = point.pageX - scrollPosition.left;
-            var y = point.pageY - scrollPosition.top;
+                (event.touches[0] || event.changedTouches[0] ||
+                    { pageX: 0, pageY: 0, clientX: 0, clientY: 0 }) : event;
+            var x;
+            var y;
+            // Events from inside a frame are relative to the frame's viewport so we have
+            // to translate them into the coordinate space of the main document.
+            if (this._isEventFromFrame(event)) {
+                var frameOffset = getFrameOffset(getEventDocument(event), this._document);
+                x = point.clientX + frameOffset.x;
+                y = point.clientY + frameOffset.y;
+            }
+            else {
+                x = point.pageX - scrollPosition.left;
+                y = point.pageY - scrollPosition.top;
+            }
             // if dragging SVG element, try to convert from the screen coordinate system to the SVG
             // coordinate system
             if (this._ownerSVGElement) {
@@ -1150,11 +2433,34 @@
                 toggleNativeDragInteractions(this._rootElement, shouldEnable);
             }
         };
-        /** Removes the manually-added event listeners from the root element. */
-        DragRef.prototype._removeRootElementListeners = function (element) {
-            element.removeEventListener('mousedown', this._pointerDown, activeEventListenerOptions);
-            element.removeEventListener('touchstart', this._pointerDown, passiveEventListenerOptions);
-        };
+        /** Removes the manually-added event listeners from the root element. */
+        DragRef.prototype._removeRootElementListeners = function (element) {
+            element.removeEventListener('mousedown', this._pointerDown, activeEventListenerOptions);
+            element.removeEventListener('touchstart', this._pointerDown, passiveEventListenerOptions);
+            element.removeEventListener('click', this._click);
+            element.removeEventListener('keydown', this._keydown);
+            element.removeEventListener('dragstart', this._nativeDragStart);
+            element.removeEventListener('dragend', this._nativeDragEnd);
+            if (this._hasSetNativeDraggable) {
+                element.removeAttribute('draggable');
+                this._hasSetNativeDraggable = false;
+            }
+        };
+        /** Syncs the `draggable` attribute of the root element with the native drag data. */
+        DragRef.prototype._syncNativeDraggable = function () {
+            var element = this._rootElement;
+            if (!element) {
+                return;
+            }
+            if (this._nativeDragData) {
+                element.setAttribute('draggable', 'true');
+                this._hasSetNativeDraggable = true;
+            }
+            else if (this._hasSetNativeDraggable) {
+                element.removeAttribute('draggable');
+                this._hasSetNativeDraggable = false;
+            }
+        };
         /**
          * Applies a `transform` to the root element, taking into account any existing transforms on it.
          * @param x New transform value along the X axis.
@@ -1267,414 +2573,126 @@
                 this._pickupPositionOnPage.y += scrollDifference.top;
                 // If we're in free drag mode, we have to update the active transform, because
                 // it isn't relative to the viewport like the preview inside a drop list.
-                if (!this._dropContainer) {
-                    this._activeTransform.x -= scrollDifference.left;
-                    this._activeTransform.y -= scrollDifference.top;
-                    this._applyRootElementTransform(this._activeTransform.x, this._activeTransform.y);
-                }
-            }
-        };
-        /** Gets the scroll position of the viewport. */
-        DragRef.prototype._getViewportScrollPosition = function () {
-            var cachedPosition = this._parentPositions.positions.get(this._document);
-            return cachedPosition ? cachedPosition.scrollPosition :
-                this._viewportRuler.getViewportScrollPosition();
-        };
-        /**
-         * Lazily resolves and returns the shadow root of the element. We do this in a function, rather
-         * than saving it in property directly on init, because we want to resolve it as late as possible
-         * in order to ensure that the element has been moved into the shadow DOM. Doing it inside the
-         * constructor might be too early if the element is inside of something like `ngFor` or `ngIf`.
-         */
-        DragRef.prototype._getShadowRoot = function () {
-            if (this._cachedShadowRoot === undefined) {
-                this._cachedShadowRoot = platform._getShadowRoot(this._rootElement);
-            }
-            return this._cachedShadowRoot;
-        };
-        /** Gets the element into which the drag preview should be inserted. */
-        DragRef.prototype._getPreviewInsertionPoint = function (initialParent, shadowRoot) {
-            var previewContainer = this._previewContainer || 'global';
-            if (previewContainer === 'parent') {
-                return initialParent;
-            }
-            if (previewContainer === 'global') {
-                var documentRef = this._document;
-                // We can't use the body if the user is in fullscreen mode,
-                // because the preview will render under the fullscreen element.
-                // TODO(crisbeto): dedupe this with the `FullscreenOverlayContainer` eventually.
-                return shadowRoot ||
-                    documentRef.fullscreenElement ||
-                    documentRef.webkitFullscreenElement ||
-                    documentRef.mozFullScreenElement ||
-                    documentRef.msFullscreenElement ||
-                    documentRef.body;
-            }
-            return coercion.coerceElement(previewContainer);
-        };
-        return DragRef;
-    }());
-    /**
-     * Gets a 3d `transform` that can be applied to an element.
-     * @param x Desired position of the element along the X axis.
-     * @param y Desired position of the element along the Y axis.
-     */
-    function getTransform(x, y) {
-        // Round the transforms since some browsers will
-        // blur the elements for sub-pixel transforms.
-        return "translate3d(" + Math.round(x) + "px, " + Math.round(y) + "px, 0)";
-    }
-    /** Clamps a value between a minimum and a maximum. */
-    function clamp(value, min, max) {
-        return Math.max(min, Math.min(max, value));
-    }
-    /**
-     * Helper to remove a node from the DOM and to do all the necessary null checks.
-     * @param node Node to be removed.
-     */
-    function removeNode(node) {
-        if (node && node.parentNode) {
-            node.parentNode.removeChild(node);
-        }
-    }
-    /** Determines whether an event is a touch event. */
-    function isTouchEvent(event) {
-        // This function is called for every pixel that the user has dragged so we need it to be
-        // as fast as possible. Since we only bind mouse events and touch events, we can assume
-        // that if the event's name starts with `t`, it's a touch event.
-        return event.type[0] === 't';
-    }
-    /**
-     * Gets the root HTML element of an embedded view.
-     * If the root is not an HTML element it gets wrapped in one.
-     */
-    function getRootNode(viewRef, _document) {
-        var rootNodes = viewRef.rootNodes;
-        if (rootNodes.length === 1 && rootNodes[0].nodeType === _document.ELEMENT_NODE) {
-            return rootNodes[0];
-        }
-        var wrapper = _document.createElement('div');
-        rootNodes.forEach(function (node) { return wrapper.appendChild(node); });
-        return wrapper;
-    }
-    /**
-     * Matches the target element's size to the source's size.
-     * @param target Element that needs to be resized.
-     * @param sourceRect Dimensions of the source element.
-     */
-    function matchElementSize(target, sourceRect) {
-        target.style.width = sourceRect.width + "px";
-        target.style.height = sourceRect.height + "px";
-        target.style.transform = getTransform(sourceRect.left, sourceRect.top);
-    }
-
-    /*! *****************************************************************************
-    Copyright (c) Microsoft Corporation.
-
-    Permission to use, copy, modify, and/or distribute this software for any
-    purpose with or without fee is hereby granted.
-
-    THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES WITH
-    REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF MERCHANTABILITY
-    AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY SPECIAL, DIRECT,
-    INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES WHATSOEVER RESULTING FROM
-    LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION OF CONTRACT, NEGLIGENCE OR
-    OTHER TORTIOUS ACTION, ARISING OUT OF OR IN CONNECTION WITH THE USE OR
-    PERFORMANCE OF THIS SOFTWARE.
-    ***************************************************************************** */
-    /* global Reflect, Promise */
-    var extendStatics = function (d, b) {
-        extendStatics = Object.setPrototypeOf ||
-            ({ __proto__: [] } instanceof Array && function (d, b) { d.__proto__ = b; }) ||
-            function (d, b) { for (var p in b)
-                if (Object.prototype.hasOwnProperty.call(b, p))
-                    d[p] = b[p]; };
-        return extendStatics(d, b);
-    };
-    function __extends(d, b) {
-        if (typeof b !== "function" && b !== null)
-            throw new TypeError("Class extends value " + String(b) + " is not a constructor or null");
-        extendStatics(d, b);
-        function __() { this.constructor = d; }
-        d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
-    }
-    var __assign = function () {
-        __assign = Object.assign || function __assign(t) {
-            for (var s, i = 1, n = arguments.length; i < n; i++) {
-                s = arguments[i];
-                for (var p in s)
-                    if (Object.prototype.hasOwnProperty.call(s, p))
-                        t[p] = s[p];
-            }
-            return t;
-        };
-        return __assign.apply(this, arguments);
-    };
-    function __rest(s, e) {
-        var t = {};
-        for (var p in s)
-            if (Object.prototype.hasOwnProperty.call(s, p) && e.indexOf(p) < 0)
-                t[p] = s[p];
-        if (s != null && typeof Object.getOwnPropertySymbols === "function")
-            for (var i = 0, p = Object.getOwnPropertySymbols(s); i < p.length; i++) {
-                if (e.indexOf(p[i]) < 0 && Object.prototype.propertyIsEnumerable.call(s, p[i]))
-                    t[p[i]] = s[p[i]];
-            }
-        return t;
-    }
-    function __decorate(decorators, target, key, desc) {
-        var c = arguments.length, r = c < 3 ? target : desc === null ? desc = Object.getOwnPropertyDescriptor(target, key) : desc, d;
-        if (typeof Reflect === "object" && typeof Reflect.decorate === "function")
-            r = Reflect.decorate(decorators, target, key, desc);
-        else
-            for (var i = decorators.length - 1; i >= 0; i--)
-                if (d = decorators[i])
-                    r = (c < 3 ? d(r) : c > 3 ? d(target, key, r) : d(target, key)) || r;
-        return c > 3 && r && Object.defineProperty(target, key, r), r;
-    }
-    function __param(paramIndex, decorator) {
-        return function (target, key) { decorator(target, key, paramIndex); };
-    }
-    function __metadata(metadataKey, metadataValue) {
-        if (typeof Reflect === "object" && typeof Reflect.metadata === "function")
-            return Reflect.metadata(metadataKey, metadataValue);
-    }
-    function __awaiter(thisArg, _arguments, P, generator) {
-        function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
-        return new (P || (P = Promise))(function (resolve, reject) {
-            function fulfilled(value) { try {
-                step(generator.next(value));
-            }
-            catch (e) {
-                reject(e);
-            } }
-            function rejected(value) { try {
-                step(generator["throw"](value));
-            }
-            catch (e) {
-                reject(e);
-            } }
-            function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
-            step((generator = generator.apply(thisArg, _arguments || [])).next());
-        });
-    }
-    function __generator(thisArg, body) {
-        var _ = { label: 0, sent: function () { if (t[0] & 1)
-                throw t[1]; return t[1]; }, trys: [], ops: [] }, f, y, t, g;
-        return g = { next: verb(0), "throw": verb(1), "return": verb(2) }, typeof Symbol === "function" && (g[Symbol.iterator] = function () { return this; }), g;
-        function verb(n) { return function (v) { return step([n, v]); }; }
-        function step(op) {
-            if (f)
-                throw new TypeError("Generator is already executing.");
-            while (_)
-                try {
-                    if (f = 1, y && (t = op[0] & 2 ? y["return"] : op[0] ? y["throw"] || ((t = y["return"]) && t.call(y), 0) : y.next) && !(t = t.call(y, op[1])).done)
-                        return t;
-                    if (y = 0, t)
-                        op = [op[0] & 2, t.value];
-                    switch (op[0]) {
-                        case 0:
-                        case 1:
-                            t = op;
-                            break;
-                        case 4:
-                            _.label++;
-                            return { value: op[1], done: false };
-                        case 5:
-                            _.label++;
-                            y = op[1];
-                            op = [0];
-                            continue;
-                        case 7:
-                            op = _.ops.pop();
-                            _.trys.pop();
-                            continue;
-                        default:
-                            if (!(t = _.trys, t = t.length > 0 && t[t.length - 1]) && (op[0] === 6 || op[0] === 2)) {
-                                _ = 0;
-                                continue;
-                            }
-                            if (op[0] === 3 && (!t || (op[1] > t[0] && op[1] < t[3]))) {
-                                _.label = op[1];
-                                break;
-                            }
-                            if (op[0] === 6 && _.label < t[1]) {
-                                _.label = t[1];
-                                t = op;
-                                break;
-                            }
-                            if (t && _.label < t[2]) {
-                                _.label = t[2];
-                                _.ops.push(op);
-                                break;
-                            }
-                            if (t[2])
-                                _.ops.pop();
-                            _.trys.pop();
-                            continue;
-                    }
-                    op = body.call(thisArg, _);
-                }
-                catch (e) {
-                    op = [6, e];
-                    y = 0;
+                if (!this._dropContainer) {
+                    this._activeTransform.x -= scrollDifference.left;
+                    this._activeTransform.y -= scrollDifference.top;
+                    this._applyRootElementTransform(this._activeTransform.x, this._activeTransform.y);
                 }
-                finally {
-                    f = t = 0;
+            }
+        };
+        /** Gets the scroll position of the viewport. */
+        DragRef.prototype._getViewportScrollPosition = function () {
+            var cachedPosition = this._parentPositions.positions.get(this._document);
+            return cachedPosition ? cachedPosition.scrollPosition :
+                this._viewportRuler.getViewportScrollPosition();
+        };
+        /**
+         * Lazily resolves and returns the shadow root of the element. We do this in a function, rather
+         * than saving it in property directly on init, because we want to resolve it as late as possible
+         * in order to ensure that the element has been moved into the shadow DOM. Doing it inside the
+         * constructor might be too early if the element is inside of something like `ngFor` or `ngIf`.
+         */
+        DragRef.prototype._getShadowRoot = function () {
+            if (this._cachedShadowRoot === undefined) {
+                this._cachedShadowRoot = platform._getShadowRoot(this._rootElement);
+            }
+            return this._cachedShadowRoot;
+        };
+        /** Gets the document that the root element is in. */
+        DragRef.prototype._getRootDocument = function () {
+            return this._rootElement.ownerDocument || this._document;
+        };
+        /**
+         * Registers the document that the root element is in with the drag&drop registry, if it's
+         * different from the main one, so that the item can be dragged out of a frame.
+         */
+        DragRef.prototype._registerRootDocument = function () {
+            var rootDocument = this._getRootDocument();
+            if (rootDocument !== this._registeredDocument) {
+                if (this._registeredDocument) {
+                    this._dragDropRegistry.removeDocument(this._registeredDocument);
+                    this._registeredDocument = null;
                 }
-            if (op[0] & 5)
-                throw op[1];
-            return { value: op[0] ? op[1] : void 0, done: true };
-        }
-    }
-    var __createBinding = Object.create ? (function (o, m, k, k2) {
-        if (k2 === undefined)
-            k2 = k;
-        Object.defineProperty(o, k2, { enumerable: true, get: function () { return m[k]; } });
-    }) : (function (o, m, k, k2) {
-        if (k2 === undefined)
-            k2 = k;
-        o[k2] = m[k];
-    });
-    function __exportStar(m, o) {
-        for (var p in m)
-            if (p !== "default" && !Object.prototype.hasOwnProperty.call(o, p))
-                __createBinding(o, m, p);
-    }
-    function __values(o) {
-        var s = typeof Symbol === "function" && Symbol.iterator, m = s && o[s], i = 0;
-        if (m)
-            return m.call(o);
-        if (o && typeof o.length === "number")
-            return {
-                next: function () {
-                    if (o && i >= o.length)
-                        o = void 0;
-                    return { value: o && o[i++], done: !o };
+                if (rootDocument !== this._document) {
+                    this._registeredDocument = rootDocument;
+                    this._dragDropRegistry.registerDocument(rootDocument);
                 }
-            };
-        throw new TypeError(s ? "Object is not iterable." : "Symbol.iterator is not defined.");
-    }
-    function __read(o, n) {
-        var m = typeof Symbol === "function" && o[Symbol.iterator];
-        if (!m)
-            return o;
-        var i = m.call(o), r, ar = [], e;
-        try {
-            while ((n === void 0 || n-- > 0) && !(r = i.next()).done)
-                ar.push(r.value);
-        }
-        catch (error) {
-            e = { error: error };
-        }
-        finally {
-            try {
-                if (r && !r.done && (m = i["return"]))
-                    m.call(i);
             }
-            finally {
-                if (e)
-                    throw e.error;
+        };
+        /** Gets the element into which the drag preview should be inserted. */
+        DragRef.prototype._getPreviewInsertionPoint = function (initialParent, shadowRoot) {
+            var previewContainer = this._previewContainer || 'global';
+            if (previewContainer === 'parent') {
+                return initialParent;
             }
-        }
-        return ar;
-    }
-    /** @deprecated */
-    function __spread() {
-        for (var ar = [], i = 0; i < arguments.length; i++)
-            ar = ar.concat(__read(arguments[i]));
-        return ar;
-    }
-    /** @deprecated */
-    function __spreadArrays() {
-        for (var s = 0, i = 0, il = arguments.length; i < il; i++)
-            s += arguments[i].length;
-        for (var r = Array(s), k = 0, i = 0; i < il; i++)
-            for (var a = arguments[i], j = 0, jl = a.length; j < jl; j++, k++)
-                r[k] = a[j];
-        return r;
-    }
-    function __spreadArray(to, from) {
-        for (var i = 0, il = from.length, j = to.length; i < il; i++, j++)
-            to[j] = from[i];
-        return to;
-    }
-    function __await(v) {
-        return this instanceof __await ? (this.v = v, this) : new __await(v);
-    }
-    function __asyncGenerator(thisArg, _arguments, generator) {
-        if (!Symbol.asyncIterator)
-            throw new TypeError("Symbol.asyncIterator is not defined.");
-        var g = generator.apply(thisArg, _arguments || []), i, q = [];
-        return i = {}, verb("next"), verb("throw"), verb("return"), i[Symbol.asyncIterator] = function () { return this; }, i;
-        function verb(n) { if (g[n])
-            i[n] = function (v) { return new Promise(function (a, b) { q.push([n, v, a, b]) > 1 || resume(n, v); }); }; }
-        function resume(n, v) { try {
-            step(g[n](v));
-        }
-        catch (e) {
-            settle(q[0][3], e);
-        } }
-        function step(r) { r.value instanceof __await ? Promise.resolve(r.value.v).then(fulfill, reject) : settle(q[0][2], r); }
-        function fulfill(value) { resume("next", value); }
-        function reject(value) { resume("throw", value); }
-        function settle(f, v) { if (f(v), q.shift(), q.length)
-            resume(q[0][0], q[0][1]); }
-    }
-    function __asyncDelegator(o) {
-        var i, p;
-        return i = {}, verb("next"), verb("throw", function (e) { throw e; }), verb("return"), i[Symbol.iterator] = function () { return this; }, i;
-        function verb(n, f) { i[n] = o[n] ? function (v) { return (p = !p) ? { value: __await(o[n](v)), done: n === "return" } : f ? f(v) : v; } : f; }
+            if (previewContainer === 'global') {
+                var documentRef = this._document;
+                // We can't use the body if the user is in fullscreen mode,
+                // because the preview will render under the fullscreen element.
+                // TODO(crisbeto): dedupe this with the `FullscreenOverlayContainer` eventually.
+                return shadowRoot ||
+                    documentRef.fullscreenElement ||
+                    documentRef.webkitFullscreenElement ||
+                    documentRef.mozFullScreenElement ||
+                    documentRef.msFullscreenElement ||
+                    documentRef.body;
+            }
+            return coercion.coerceElement(previewContainer);
+        };
+        return DragRef;
+    }());
+    /**
+     * Gets a 3d `transform` that can be applied to an element.
+     * @param x Desired position of the element along the X axis.
+     * @param y Desired position of the element along the Y axis.
+     */
+    function getTransform(x, y) {
+        // Round the transforms since some browsers will
+        // blur the elements for sub-pixel transforms.
+        return "translate3d(" + Math.round(x) + "px, " + Math.round(y) + "px, 0)";
     }
-    function __asyncValues(o) {
-        if (!Symbol.asyncIterator)
-            throw new TypeError("Symbol.asyncIterator is not defined.");
-        var m = o[Symbol.asyncIterator], i;
-        return m ? m.call(o) : (o = typeof __values === "function" ? __values(o) : o[Symbol.iterator](), i = {}, verb("next"), verb("throw"), verb("return"), i[Symbol.asyncIterator] = function () { return this; }, i);
-        function verb(n) { i[n] = o[n] && function (v) { return new Promise(function (resolve, reject) { v = o[n](v), settle(resolve, reject, v.done, v.value); }); }; }
-        function settle(resolve, reject, d, v) { Promise.resolve(v).then(function (v) { resolve({ value: v, done: d }); }, reject); }
+    /** Clamps a value between a minimum and a maximum. */
+    function clamp(value, min, max) {
+        return Math.max(min, Math.min(max, value));
     }
-    function __makeTemplateObject(cooked, raw) {
-        if (Object.defineProperty) {
-            Object.defineProperty(cooked, "raw", { value: raw });
-        }
-        else {
-            cooked.raw = raw;
+    /**
+     * Helper to remove a node from the DOM and to do all the necessary null checks.
+     * @param node Node to be removed.
+     */
+    function removeNode(node) {
+        if (node && node.parentNode) {
+            node.parentNode.removeChild(node);
         }
-        return cooked;
-    }
-    ;
-    var __setModuleDefault = Object.create ? (function (o, v) {
-        Object.defineProperty(o, "default", { enumerable: true, value: v });
-    }) : function (o, v) {
-        o["default"] = v;
-    };
-    function __importStar(mod) {
-        if (mod && mod.__esModule)
-            return mod;
-        var result = {};
-        if (mod != null)
-            for (var k in mod)
-                if (k !== "default" && Object.prototype.hasOwnProperty.call(mod, k))
-                    __createBinding(result, mod, k);
-        __setModuleDefault(result, mod);
-        return result;
     }
-    function __importDefault(mod) {
-        return (mod && mod.__esModule) ? mod : { default: mod };
+    /** Determines whether an event is a touch event. */
+    function isTouchEvent(event) {
+        // This function is called for every pixel that the user has dragged so we need it to be
+        // as fast as possible. Since we only bind mouse events and touch events, we can assume
+        // that if the event's name starts with `t`, it's a touch event.
+        return event.type[0] === 't';
     }
-    function __classPrivateFieldGet(receiver, privateMap) {
-        if (!privateMap.has(receiver)) {
-            throw new TypeError("attempted to get private field on non-instance");
+    /**
+     * Gets the root HTML element of an embedded view.
+     * If the root is not an HTML element it gets wrapped in one.
+     */
+    function getRootNode(viewRef, _document) {
+        var rootNodes = viewRef.rootNodes;
+        if (rootNodes.length === 1 && rootNodes[0].nodeType === _document.ELEMENT_NODE) {
+            return rootNodes[0];
         }
-        return privateMap.get(receiver);
+        var wrapper = _document.createElement('div');
+        rootNodes.forEach(function (node) { return wrapper.appendChild(node); });
+        return wrapper;
     }
-    function __classPrivateFieldSet(receiver, privateMap, value) {
-        if (!privateMap.has(receiver)) {
-            throw new TypeError("attempted to set private field on non-instance");
-        }
-        privateMap.set(receiver, value);
-        return value;
+    /**
+     * Matches the target element's size to the source's size.
+     * @param target Element that needs to be resized.
+     * @param sourceRect Dimensions of the source element.
+     */
+    function matchElementSize(target, sourceRect) {
+        target.style.width = sourceRect.width + "px";
+        target.style.height = sourceRect.height + "px";
+        target.style.transform = getTransform(sourceRect.left, sourceRect.top);
     }
 
     /**
@@ -1726,11 +2744,68 @@
      * @param targetIndex Index at which to insert the item.
      *
      */
-    function copyArrayItem(currentArray, targetArray, currentIndex, targetIndex) {
-        var to = clamp$1(targetIndex, targetArray.length);
-        if (currentArray.length) {
-            targetArray.splice(to, 0, currentArray[currentIndex]);
+    function copyArrayItem(currentArray, targetArray, currentIndex, targetIndex) {
+        var to = clamp$1(targetIndex, targetArray.length);
+        if (currentArray.length) {
+            targetArray.splice(to, 0, currentArray[currentIndex]);
+        }
+    }
+    /**
+     * Moves multiple items in an array to another index. The items keep their relative order
+     * and end up next to each other, starting at the target index.
+     * @param array Array in which to move the items.
+     * @param fromIndices Starting indices of the items.
+     * @param toIndex Index at which the first of the items should be placed, after the items
+     *   have been removed from their starting indices.
+     */
+    function moveItemsInArray(array, fromIndices, toIndex) {
+        var items = removeItemsAtIndices(array, fromIndices);
+        array.splice.apply(array, __spread([clamp$1(toIndex, array.length), 0], items));
+    }
+    /**
+     * Moves multiple items from one array to another. The items keep their relative
+     * order and end up next to each other, starting at the target index.
+     * @param currentArray Array from which to transfer the items.
+     * @param targetArray Array into which to put the items.
+     * @param currentIndices Indices of the items in their current array.
+     * @param targetIndex Index at which to insert the items.
+     */
+    function transferArrayItems(currentArray, targetArray, currentIndices, targetIndex) {
+        var items = removeItemsAtIndices(currentArray, currentIndices);
+        targetArray.splice.apply(targetArray, __spread([clamp$1(targetIndex, targetArray.length), 0], items));
+    }
+    /**
+     * Copies multiple items from one array to another, leaving them in their original positions
+     * in the current array. The copied items keep their relative order in the target array.
+     * @param currentArray Array from which to copy the items.
+     * @param targetArray Array into which is copy the items.
+     * @param currentIndices Indices of the items in their current array.
+     * @param targetIndex Index at which to insert the items.
+     */
+    function copyArrayItems(currentArray, targetArray, currentIndices, targetIndex) {
+        var items = getSortedIndices(currentIndices, currentArray.length)
+            .map(function (index) { return currentArray[index]; });
+        targetArray.splice.apply(targetArray, __spread([clamp$1(targetIndex, targetArray.length), 0], items));
+    }
+    /**
+     * Removes the items at the specified indices from an array.
+     * @returns The removed items, in the order in which they were in the array.
+     */
+    function removeItemsAtIndices(array, indices) {
+        var sortedIndices = getSortedIndices(indices, array.length);
+        var items = sortedIndices.map(function (index) { return array[index]; });
+        // Remove the items starting from the end so the indices of the rest don't shift.
+        for (var i = sortedIndices.length - 1; i > -1; i--) {
+            array.splice(sortedIndices[i], 1);
         }
+        return items;
+    }
+    /** Sorts a list of indices in ascending order, dropping duplicates and out-of-range values. */
+    function getSortedIndices(indices, length) {
+        return indices
+            .filter(function (index, position) { return index > -1 && index < length &&
+            indices.indexOf(index) === position; })
+            .sort(function (a, b) { return a - b; });
     }
     /** Clamps a number between zero and a maximum. */
     function clamp$1(value, max) {
@@ -1767,6 +2842,11 @@
             this.autoScrollDisabled = false;
             /** Number of pixels to scroll for each frame when auto-scrolling an element. */
             this.autoScrollStep = 2;
+            /**
+             * Whether the user can select multiple items in the list, by clicking on them while holding
+             * down the ctrl, meta or shift keys, and drag them together.
+             */
+            this.multiSelect = false;
             /**
              * Function that is used to determine whether an item
              * is allowed to be moved into a drop container.
@@ -1774,6 +2854,28 @@
             this.enterPredicate = function () { return true; };
             /** Functions that is used to determine whether an item can be sorted into a particular index. */
             this.sortPredicate = function () { return true; };
+            /**
+             * Rules that determine which kinds of items the list accepts and the effect of dropping them
+             * into the list. The first rule that matches one of the item's `kinds` is used and items that
+             * don't match any rule are refused. All items are moved into the list if no rules are set.
+             */
+            this.acceptRules = null;
+            /**
+             * Whether the list accepts native drops, like files from the operating system
+             * or data that is being dragged from a different page.
+             */
+            this.nativeDropsEnabled = false;
+            /**
+             * Function that is used to determine whether native data is allowed to be dropped into the
+             * container. Note that browsers only expose the data itself once it has been dropped, but
+             * `event.dataTransfer.types` can be used to check what kind of data is being dragged.
+             */
+            this.nativeEnterPredicate = function () { return true; };
+            /**
+             * Function used to animate the items as they're moved out of the way while sorting. The items
+             * are animated using the CSS transitions defined on them if no function is set.
+             */
+            this.animationFn = null;
             /** Emits right before dragging has started. */
             this.beforeStarted = new rxjs.Subject();
             /**
@@ -1789,6 +2891,23 @@
             this.dropped = new rxjs.Subject();
             /** Emits as the user is swapping items while actively dragging. */
             this.sorted = new rxjs.Subject();
+            /**
+             * Emits right before the selection changes as a result of the user clicking on an item.
+             * Can be used to sync up the list's items before the selection is determined.
+             */
+            this.beforeSelectionChanged = new rxjs.Subject();
+            /** Emits when the items that are selected in the list have changed. */
+            this.selectionChanged = new rxjs.Subject();
+            /** Emits when native data is dragged into the container. */
+            this.nativeEntered = new rxjs.Subject();
+            /** Emits when native data is dragged out of the container without being dropped. */
+            this.nativeExited = new rxjs.Subject();
+            /** Emits when the index at which native data would be inserted changes. */
+            this.nativeSorted = new rxjs.Subject();
+            /** Emits when native data is dropped into the container. */
+            this.nativeDropped = new rxjs.Subject();
+            /** Emits when an item is done animating to its new position while sorting. */
+            this.animationDone = new rxjs.Subject();
             /** Whether an item in the list is being dragged. */
             this._isDragging = false;
             /** Cache of the dimensions of all the items inside the container. */
@@ -1807,6 +2926,8 @@
             this._orientation = 'vertical';
             /** Connected siblings that currently have a dragged item. */
             this._activeSiblings = new Set();
+            /** Connected lists whose items are being dragged, but can't be dropped into this list. */
+            this._refusedSiblings = new Set();
             /** Layout direction of the drop list. */
             this._direction = 'ltr';
             /** Subscription to the window being scrolled. */
@@ -1817,8 +2938,24 @@
             this._horizontalScrollDirection = 0 /* NONE */;
             /** Used to signal to the current auto-scroll sequence when to stop. */
             this._stopScrollTimers = new rxjs.Subject();
-            /** Shadow root of the current element. Necessary for `elementFromPoint` to resolve correctly. */
-            this._cachedShadowRoot = null;
+            /** Document that the element is in, if it was registered because it's inside a frame. */
+            this._registeredDocument = null;
+            /** Inline `transition` values of the elements whose transitions were disabled while sorting. */
+            this._initialTransitions = new Map();
+            /** Items that are currently selected in the list. */
+            this._selectedItems = new Set();
+            /** Item that was last selected by the user. Used as the start of a range selection. */
+            this._lastSelectedItem = null;
+            /** Index at which native data would be inserted. Null if no native data is being dragged. */
+            this._nativeDropIndex = null;
+            /** Element that shows where native data will be inserted. */
+            this._nativePlaceholder = null;
+            /**
+             * Number of `dragenter` events that haven't been matched by a `dragleave` yet. Used to
+             * determine when native data leaves the list, because `dragleave` is also dispatched
+             * when the pointer moves between descendants of the list.
+             */
+            this._nativeDragDepth = 0;
             /** Starts the interval that'll auto-scroll the element. */
             this._startScrollInterval = function () {
                 _this._stopScrolling();
@@ -1841,14 +2978,92 @@
                     }
                 });
             };
+            /** Handles `dragenter` events for native drag sequences. */
+            this._nativeDragEnter = function (event) {
+                _this._nativeDragDepth++;
+                _this._nativeDragOver(event);
+            };
+            /** Handles `dragover` events for native drag sequences. */
+            this._nativeDragOver = function (event) {
+                // If a list nested inside this one has accepted the data, it takes precedence.
+                if (event.defaultPrevented) {
+                    if (_this._nativeDropIndex !== null) {
+                        _this._ngZone.run(function () { return _this._exitNativeDrag(event); });
+                    }
+                    return;
+                }
+                if (!_this._canReceiveNativeDrag(event)) {
+                    return;
+                }
+                // Preventing the default action is what tells the browser that the data can be dropped here.
+                event.preventDefault();
+                var frameOffset = getFrameOffset(coercion.coerceElement(_this.element), _this._document);
+                var x = event.clientX + frameOffset.x;
+                var y = event.clientY + frameOffset.y;
+                if (_this._nativeDropIndex === null) {
+                    _this._ngZone.run(function () { return _this._startNativeDrag(event, x, y); });
+                    return;
+                }
+                var previousIndex = _this._nativeDropIndex;
+                var currentIndex = _this._getNativeDropIndex(x, y);
+                _this._startScrollingIfNecessary(x, y);
+                if (currentIndex !== previousIndex) {
+                    _this._nativeDropIndex = currentIndex;
+                    _this._moveNativePlaceholder(currentIndex);
+                    _this._ngZone.run(function () {
+                        _this.nativeSorted.next({ container: _this, previousIndex: previousIndex, currentIndex: currentIndex, event: event });
+                    });
+                }
+            };
+            /** Handles `dragleave` events for native drag sequences. */
+            this._nativeDragLeave = function (event) {
+                _this._nativeDragDepth = Math.max(_this._nativeDragDepth - 1, 0);
+                // Note that browsers also dispatch `dragleave` if the user cancels the drag sequence.
+                if (_this._nativeDragDepth === 0 && _this._nativeDropIndex !== null) {
+                    _this._ngZone.run(function () { return _this._exitNativeDrag(event); });
+                }
+            };
+            /** Handles `drop` events for native drag sequences. */
+            this._nativeDrop = function (event) {
+                var currentIndex = _this._nativeDropIndex;
+                if (currentIndex === null || event.defaultPrevented || !event.dataTransfer) {
+                    return;
+                }
+                // Prevent the browser from navigating to dropped files or links.
+                event.preventDefault();
+                _this._endNativeDrag();
+                _this._ngZone.run(function () {
+                    _this.nativeDropped.next({
+                        container: _this,
+                        currentIndex: currentIndex,
+                        dataTransfer: event.dataTransfer,
+                        event: event
+                    });
+                });
+            };
             this.element = coercion.coerceElement(element);
             this._document = _document;
             this.withScrollableParents([this.element]);
             _dragDropRegistry.registerDropContainer(this);
             this._parentPositions = new ParentPositionTracker(_document, _viewportRuler);
+            _ngZone.runOutsideAngular(function () {
+                var nativeElement = _this.element;
+                nativeElement.addEventListener('dragenter', _this._nativeDragEnter);
+                nativeElement.addEventListener('dragover', _this._nativeDragOver);
+                nativeElement.addEventListener('dragleave', _this._nativeDragLeave);
+                nativeElement.addEventListener('drop', _this._nativeDrop);
+            });
         }
         /** Removes the drop list functionality from the DOM element. */
         DropListRef.prototype.dispose = function () {
+            var nativeElement = coercion.coerceElement(this.element);
+            nativeElement.removeEventListener('dragenter', this._nativeDragEnter);
+            nativeElement.removeEventListener('dragover', this._nativeDragOver);
+            nativeElement.removeEventListener('dragleave', this._nativeDragLeave);
+            nativeElement.removeEventListener('drop', this._nativeDrop);
+            if (this._nativeDropIndex !== null) {
+                this._endNativeDrag();
+            }
             this._stopScrolling();
             this._stopScrollTimers.complete();
             this._viewportScrollSubscription.unsubscribe();
@@ -1857,10 +3072,24 @@
             this.exited.complete();
             this.dropped.complete();
             this.sorted.complete();
+            this.beforeSelectionChanged.complete();
+            this.selectionChanged.complete();
+            this.nativeEntered.complete();
+            this.nativeExited.complete();
+            this.nativeSorted.complete();
+            this.nativeDropped.complete();
+            this.animationDone.complete();
             this._activeSiblings.clear();
+            this._refusedSiblings.clear();
+            this._selectedItems.clear();
+            this._lastSelectedItem = null;
             this._scrollNode = null;
             this._parentPositions.clear();
             this._dragDropRegistry.removeDropContainer(this);
+            if (this._registeredDocument) {
+                this._dragDropRegistry.removeDocument(this._registeredDocument);
+                this._registeredDocument = null;
+            }
         };
         /** Whether an item from this list is currently being dragged. */
         DropListRef.prototype.isDragging = function () {
@@ -1953,17 +3182,24 @@
          * @param isPointerOverContainer Whether the user's pointer was over the
          *    container when the item was dropped.
          * @param distance Distance the user has dragged since the start of the dragging sequence.
+         * @param items All of the items being dropped, if multiple selected items were dragged together.
+         * @param previousIndices Indices of all of the items being dropped when dragging started.
          */
-        DropListRef.prototype.drop = function (item, currentIndex, previousIndex, previousContainer, isPointerOverContainer, distance) {
+        DropListRef.prototype.drop = function (item, currentIndex, previousIndex, previousContainer, isPointerOverContainer, distance, items, previousIndices) {
+            if (items === void 0) { items = [item]; }
+            if (previousIndices === void 0) { previousIndices = [previousIndex]; }
             this._reset();
             this.dropped.next({
                 item: item,
+                items: items,
                 currentIndex: currentIndex,
                 previousIndex: previousIndex,
+                previousIndices: previousIndices,
                 container: this,
                 previousContainer: previousContainer,
                 isPointerOverContainer: isPointerOverContainer,
-                distance: distance
+                distance: distance,
+                dropEffect: this.getDropEffect(item)
             });
         };
         /**
@@ -1975,6 +3211,12 @@
             var previousItems = this._draggables;
             this._draggables = items;
             items.forEach(function (item) { return item._withDropContainer(_this); });
+            // Items that were removed from the list can't be selected anymore.
+            var removedSelectedItems = Array.from(this._selectedItems).filter(function (item) { return items.indexOf(item) === -1; });
+            if (removedSelectedItems.length) {
+                removedSelectedItems.forEach(function (item) { return _this._selectedItems.delete(item); });
+                this._emitSelectionChange();
+            }
             if (this.isDragging()) {
                 var draggedItems = previousItems.filter(function (item) { return item.isDragging(); });
                 // If all of the items being dragged were removed
@@ -2041,6 +3283,49 @@
                 this._itemPositions.slice().reverse() : this._itemPositions;
             return findIndex(items, function (currentItem) { return currentItem.drag === item; });
         };
+        /** Gets the items that are currently selected, in the order in which they appear in the list. */
+        DropListRef.prototype.getSelectedItems = function () {
+            var _this = this;
+            return this._draggables.filter(function (item) { return _this._selectedItems.has(item); });
+        };
+        /**
+         * Whether an item is selected in the list.
+         * @param item Item whose selection state should be checked.
+         */
+        DropListRef.prototype.isItemSelected = function (item) {
+            return this._selectedItems.has(item);
+        };
+        /**
+         * Adds an item to the selection of the list.
+         * @param item Item to be selected.
+         */
+        DropListRef.prototype.selectItem = function (item) {
+            if (!this._selectedItems.has(item)) {
+                this._selectedItems.add(item);
+                this._lastSelectedItem = item;
+                this._emitSelectionChange();
+            }
+        };
+        /**
+         * Removes an item from the selection of the list.
+         * @param item Item to be deselected.
+         */
+        DropListRef.prototype.deselectItem = function (item) {
+            if (this._selectedItems.delete(item)) {
+                if (this._lastSelectedItem === item) {
+                    this._lastSelectedItem = null;
+                }
+                this._emitSelectionChange();
+            }
+        };
+        /** Deselects all of the items in the list. */
+        DropListRef.prototype.clearSelection = function () {
+            this._lastSelectedItem = null;
+            if (this._selectedItems.size) {
+                this._selectedItems.clear();
+                this._emitSelectionChange();
+            }
+        };
         /**
          * Whether the list is able to receive the item that
          * is currently being dragged inside a connected drop list.
@@ -2048,6 +3333,27 @@
         DropListRef.prototype.isReceiving = function () {
             return this._activeSiblings.size > 0;
         };
+        /**
+         * Whether the list refuses the item that is currently being dragged inside
+         * a connected drop list, based on its `enterPredicate` or `acceptRules`.
+         */
+        DropListRef.prototype.isRefusing = function () {
+            return this._refusedSiblings.size > 0;
+        };
+        /**
+         * Gets the effect of dropping an item into the list. Items can always be moved back
+         * into the list that they started off in, regardless of the list's rules.
+         * @param item Item that is being dragged.
+         */
+        DropListRef.prototype.getDropEffect = function (item) {
+            if (this._draggables.indexOf(item) > -1) {
+                return 'move';
+            }
+            if (!this.enterPredicate(item, this)) {
+                return 'none';
+            }
+            return this.acceptRules ? getAcceptedDropEffect(this.acceptRules, item.kinds) : 'move';
+        };
         /**
          * Sorts an item inside the container based on its position.
          * @param item Item to be sorted.
@@ -2066,8 +3372,129 @@
             if (newIndex === -1 && siblings.length > 0) {
                 return;
             }
+            var isMixed = this._orientation === 'mixed';
+            var siblingAtNewPosition = isMixed ? this._sortItemInMixedList(item, newIndex) :
+                this._sortItemInLinearList(item, newIndex);
+            if (!siblingAtNewPosition) {
+                return;
+            }
+            // Note that it's important that we do this after the client rects have been adjusted.
+            this._previousSwap.overlaps =
+                isInsideClientRect(siblingAtNewPosition.clientRect, pointerX, pointerY);
+            this._previousSwap.drag = siblingAtNewPosition.drag;
+            this._previousSwap.delta = isMixed ? pointerDelta.x || pointerDelta.y :
+                (this._orientation === 'horizontal' ? pointerDelta.x : pointerDelta.y);
+        };
+        /**
+         * Moves an item to a specific index inside the container, regardless of where it's rendered.
+         * Used when sorting the items using the keyboard.
+         * @param item Item to be sorted.
+         * @param newIndex Index to which the item should be moved.
+         * @docs-private
+         */
+        DropListRef.prototype._sortItemToIndex = function (item, newIndex) {
+            if (this._orientation === 'mixed') {
+                this._sortItemInMixedList(item, newIndex);
+            }
+            else {
+                this._sortItemInLinearList(item, newIndex);
+            }
+        };
+        /**
+         * Gets the index of an item among the items that are currently being sorted.
+         * @param item Item whose index should be determined.
+         * @docs-private
+         */
+        DropListRef.prototype._getSortIndex = function (item) {
+            return findIndex(this._itemPositions, function (currentItem) { return currentItem.drag === item; });
+        };
+        /**
+         * Determines the index to which an item should be moved when the user presses one of the arrow
+         * keys while dragging it using the keyboard. Returns -1 if the item can't be moved any further
+         * in the specified direction within the container.
+         * @param item Item that is being dragged.
+         * @param direction Direction in which the item should be moved.
+         * @docs-private
+         */
+        DropListRef.prototype._getKeyboardSortIndex = function (item, direction) {
+            var siblings = this._itemPositions;
+            var currentIndex = this._getSortIndex(item);
+            if (this.sortingDisabled || currentIndex === -1) {
+                return -1;
+            }
+            var newIndex = -1;
+            if (this._orientation === 'mixed') {
+                newIndex = this._getMixedListKeyboardSortIndex(currentIndex, direction);
+            }
+            else if (this._orientation === 'horizontal') {
+                // The positions are sorted based on where the items are on the page
+                // so the item to the left always comes before the current one.
+                if (direction === 'left' || direction === 'right') {
+                    newIndex = currentIndex + (direction === 'left' ? -1 : 1);
+                }
+            }
+            else if (direction === 'up' || direction === 'down') {
+                newIndex = currentIndex + (direction === 'up' ? -1 : 1);
+            }
+            return newIndex > -1 && newIndex < siblings.length &&
+                this.sortPredicate(newIndex, item, this) ? newIndex : -1;
+        };
+        /**
+         * Determines the index to which an item should be moved using the keyboard in a list whose
+         * items can wrap onto multiple lines. Horizontal keys move the item to the previous or next
+         * index, whereas vertical keys move it to the closest item on the previous or next line.
+         */
+        DropListRef.prototype._getMixedListKeyboardSortIndex = function (currentIndex, direction) {
+            var siblings = this._itemPositions;
+            if (direction === 'left' || direction === 'right') {
+                var isBackwards = (direction === 'left') === (this._direction === 'ltr');
+                return currentIndex + (isBackwards ? -1 : 1);
+            }
+            var currentRect = siblings[currentIndex].clientRect;
+            var currentCenter = currentRect.left + currentRect.width / 2;
+            var isUp = direction === 'up';
+            var closestLineTop = null;
+            var closestIndex = -1;
+            var closestDistance = Infinity;
+            // Find the closest line in the specified direction.
+            siblings.forEach(function (_a) {
+                var clientRect = _a.clientRect;
+                var isOnLine = isUp ? clientRect.bottom <= currentRect.top :
+                    clientRect.top >= currentRect.bottom;
+                if (isOnLine && (closestLineTop === null ||
+                    (isUp ? clientRect.top > closestLineTop : clientRect.top < closestLineTop))) {
+                    closestLineTop = clientRect.top;
+                }
+            });
+            if (closestLineTop === null) {
+                return -1;
+            }
+            // Pick the item on the line that is horizontally closest to the current one.
+            siblings.forEach(function (_a, index) {
+                var clientRect = _a.clientRect;
+                var distance = Math.abs(clientRect.left + clientRect.width / 2 - currentCenter);
+                if (clientRect.top === closestLineTop && distance < closestDistance) {
+                    closestDistance = distance;
+                    closestIndex = index;
+                }
+            });
+            return closestIndex;
+        };
+        /**
+         * Sorts an item inside a list whose items are laid out along a single axis by offsetting
+         * the items from their initial positions.
+         * @param item Item to be sorted.
+         * @param newIndex Index to which the item should be moved.
+         * @returns Sibling that was at the new index before sorting or null if nothing was moved.
+         */
+        DropListRef.prototype._sortItemInLinearList = function (item, newIndex) {
+            var _this = this;
+            var siblings = this._itemPositions;
             var isHorizontal = this._orientation === 'horizontal';
             var currentIndex = findIndex(siblings, function (currentItem) { return currentItem.drag === item; });
+            if (currentIndex === -1 || !siblings[newIndex]) {
+                return null;
+            }
             var siblingAtNewPosition = siblings[newIndex];
             var currentPosition = siblings[currentIndex].clientRect;
             var newPosition = siblingAtNewPosition.clientRect;
@@ -2096,27 +3523,24 @@
                 var offset = isDraggedItem ? itemOffset : siblingOffset;
                 var elementToOffset = isDraggedItem ? item.getPlaceholderElement() :
                     sibling.drag.getRootElement();
+                var previousOffset = sibling.offset;
                 // Update the offset to reflect the new position.
                 sibling.offset += offset;
                 // Since we're moving the items with a `transform`, we need to adjust their cached
                 // client rects to reflect their new position, as well as swap their positions in the cache.
                 // Note that we shouldn't use `getBoundingClientRect` here to update the cache, because the
                 // elements may be mid-animation which will give us a wrong result.
+                // Round the transforms since some browsers will blur the elements, for sub-pixel transforms.
                 if (isHorizontal) {
-                    // Round the transforms since some browsers will
-                    // blur the elements, for sub-pixel transforms.
-                    elementToOffset.style.transform = "translate3d(" + Math.round(sibling.offset) + "px, 0, 0)";
+                    _this._animateSortedItem(item, elementToOffset, { x: Math.round(previousOffset), y: 0 }, { x: Math.round(sibling.offset), y: 0 });
                     adjustClientRect(sibling.clientRect, 0, offset);
                 }
                 else {
-                    elementToOffset.style.transform = "translate3d(0, " + Math.round(sibling.offset) + "px, 0)";
+                    _this._animateSortedItem(item, elementToOffset, { x: 0, y: Math.round(previousOffset) }, { x: 0, y: Math.round(sibling.offset) });
                     adjustClientRect(sibling.clientRect, offset, 0);
                 }
             });
-            // Note that it's important that we do this after the client rects have been adjusted.
-            this._previousSwap.overlaps = isInsideClientRect(newPosition, pointerX, pointerY);
-            this._previousSwap.drag = siblingAtNewPosition.drag;
-            this._previousSwap.delta = isHorizontal ? pointerDelta.x : pointerDelta.y;
+            return siblingAtNewPosition;
         };
         /**
          * Checks whether the user's pointer is close to the edges of either the
@@ -2169,15 +3593,269 @@
                 }
             }
         };
+        /**
+         * Sorts an item inside a list whose items can wrap onto multiple lines. Since the
+         * items can move across line breaks, we can't offset them along a single axis. Instead
+         * we move the placeholder in the DOM and we animate the rest of the items from their
+         * previous positions to their new ones.
+         * @param item Item to be sorted.
+         * @param newIndex Index to which the item should be moved.
+         * @returns Sibling that was at the new index before sorting or null if nothing was moved.
+         */
+        DropListRef.prototype._sortItemInMixedList = function (item, newIndex) {
+            var _this = this;
+            var siblings = this._itemPositions;
+            var currentIndex = findIndex(siblings, function (currentItem) { return currentItem.drag === item; });
+            var siblingAtNewPosition = siblings[newIndex];
+            if (currentIndex === -1 || currentIndex === newIndex || !siblingAtNewPosition) {
+                return null;
+            }
+            var placeholder = item.getPlaceholderElement();
+            var reference = siblingAtNewPosition.drag.getRootElement();
+            var previousRects = new Map();
+            // Capture where the items are currently rendered, including any in-progress animations.
+            siblings.forEach(function (_a) {
+                var drag = _a.drag;
+                previousRects.set(drag, getMutableClientRect(drag.getVisibleElement(), _this._document));
+            });
+            reference.parentNode.insertBefore(placeholder, currentIndex < newIndex ? reference.nextSibling : reference);
+            moveItemInArray(siblings, currentIndex, newIndex);
+            this._activeDraggables = siblings.map(function (sibling) { return sibling.drag; });
+            this.sorted.next({
+                previousIndex: currentIndex,
+                currentIndex: newIndex,
+                container: this,
+                item: item
+            });
+            this._animateToNewPositions(item, previousRects);
+            return siblingAtNewPosition;
+        };
+        /**
+         * Re-measures the items after a placeholder has been moved in the DOM and animates
+         * the items from their previous positions to their new ones.
+         * @param draggedItem Item that is being dragged, if any.
+         * @param previousRects Positions of the items before the placeholder was moved.
+         */
+        DropListRef.prototype._animateToNewPositions = function (draggedItem, previousRects) {
+            var _this = this;
+            var siblings = this._itemPositions;
+            // Clear any transforms from previous animations so that they don't throw off the measurements.
+            siblings.forEach(function (_a) {
+                var drag = _a.drag;
+                var element = drag.getVisibleElement();
+                _this._disableTransition(element);
+                element.style.transform = '';
+            });
+            siblings.forEach(function (sibling) {
+                sibling.clientRect = getMutableClientRect(sibling.drag.getVisibleElement(), _this._document);
+                sibling.offset = 0;
+            });
+            // Move each item back to where it was rendered before. The placeholder
+            // isn't animated, because it should jump straight to its new position.
+            var animatingItems = [];
+            siblings.forEach(function (_a) {
+                var drag = _a.drag, clientRect = _a.clientRect;
+                var previousRect = previousRects.get(drag);
+                if (drag !== draggedItem && previousRect) {
+                    var x = Math.round(previousRect.left - clientRect.left);
+                    var y = Math.round(previousRect.top - clientRect.top);
+                    if (x || y) {
+                        animatingItems.push({ element: drag.getVisibleElement(), from: { x: x, y: y } });
+                    }
+                }
+            });
+            if (this.animationFn) {
+                // The items are already in their final positions so we can hand them off directly. Their
+                // CSS transitions stay disabled until the end of the drag sequence so they don't interfere.
+                animatingItems.forEach(function (_a) {
+                    var element = _a.element, from = _a.from;
+                    _this._runSortAnimation(draggedItem, element, from, { x: 0, y: 0 });
+                });
+                return;
+            }
+            animatingItems.forEach(function (_a) {
+                var element = _a.element, from = _a.from;
+                element.style.transform = "translate3d(" + from.x + "px, " + from.y + "px, 0)";
+            });
+            // Force a style recalculation so that the transforms are applied without a transition,
+            // then restore the transitions and clear the transforms so the items animate into place.
+            coercion.coerceElement(this.element).getBoundingClientRect();
+            siblings.forEach(function (_a) {
+                var drag = _a.drag;
+                var element = drag.getVisibleElement();
+                _this._restoreTransition(element);
+                element.style.transform = '';
+            });
+            if (this.animationDone.observers.length) {
+                animatingItems.forEach(function (_a) {
+                    var element = _a.element;
+                    return _this._emitAnimationDoneAfterTransition(draggedItem, element);
+                });
+            }
+        };
+        /**
+         * Moves an item to its new offset while sorting a list, and animates it either
+         * through the `animationFn` or through the transition defined on the element.
+         * @param draggedItem Item that is being dragged.
+         * @param element Element that should be moved.
+         * @param from Offset from which the element is being moved.
+         * @param to Offset to which the element is being moved.
+         */
+        DropListRef.prototype._animateSortedItem = function (draggedItem, element, from, to) {
+            element.style.transform = "translate3d(" + to.x + "px, " + to.y + "px, 0)";
+            if (this.animationFn) {
+                // Disable the element's CSS transition so it doesn't conflict with the custom animation.
+                // The transition will be restored once the drag sequence is over.
+                this._disableTransition(element);
+                this._runSortAnimation(draggedItem, element, from, to);
+            }
+            else if (this.animationDone.observers.length) {
+                this._emitAnimationDoneAfterTransition(draggedItem, element);
+            }
+        };
+        /** Disables the CSS transition of an element, storing its inline value so it can be restored. */
+        DropListRef.prototype._disableTransition = function (element) {
+            if (!this._initialTransitions.has(element)) {
+                this._initialTransitions.set(element, element.style.transition || '');
+            }
+            element.style.transition = 'none';
+        };
+        /** Restores the CSS transition of an element that was disabled while sorting. */
+        DropListRef.prototype._restoreTransition = function (element) {
+            var transition = this._initialTransitions.get(element);
+            if (transition !== undefined) {
+                element.style.transition = transition;
+                this._initialTransitions.delete(element);
+            }
+        };
+        /** Hands off the sorting animation of an element to the `animationFn`. */
+        DropListRef.prototype._runSortAnimation = function (draggedItem, element, from, to) {
+            var _this = this;
+            this._ngZone.runOutsideAngular(function () {
+                runDragAnimation(_this.animationFn, { type: 'sort', element: element, item: draggedItem, from: from, to: to })
+                    .then(function () {
+                    _this.animationDone.next({ container: _this, item: draggedItem, type: 'sort', element: element });
+                });
+            });
+        };
+        /** Emits the `animationDone` event once the CSS transition of a sorted item is done. */
+        DropListRef.prototype._emitAnimationDoneAfterTransition = function (draggedItem, element) {
+            var _this = this;
+            var duration = getTransformTransitionDurationInMs(element);
+            this._ngZone.runOutsideAngular(function () {
+                waitForTransformTransition(element, duration).then(function () {
+                    _this.animationDone.next({ container: _this, item: draggedItem, type: 'sort', element: element });
+                });
+            });
+        };
         /** Stops any currently-running auto-scroll sequences. */
         DropListRef.prototype._stopScrolling = function () {
             this._stopScrollTimers.next();
         };
+        /**
+         * Scrolls the list, its scrollable parents and the viewport so that an element inside of the
+         * list is visible. Used to keep the placeholder in view while sorting using the keyboard.
+         * @param element Element that should be scrolled into view.
+         * @docs-private
+         */
+        DropListRef.prototype._scrollIntoView = function (element) {
+            if (this.autoScrollDisabled) {
+                return;
+            }
+            // Scroll the innermost regions first, because scrolling them moves the element
+            // inside of the outer ones. Elements are measured every time for the same reason.
+            var scrollableElements = this._scrollableElements.slice().sort(function (a, b) {
+                return a.contains(b) ? 1 : (b.contains(a) ? -1 : 0);
+            });
+            scrollableElements.forEach(function (scrollable) {
+                if (scrollable !== element && scrollable.contains(element)) {
+                    var regionRect = scrollable.getBoundingClientRect();
+                    var elementRect_1 = element.getBoundingClientRect();
+                    var top = regionRect.top + scrollable.clientTop;
+                    var left = regionRect.left + scrollable.clientLeft;
+                    incrementVerticalScroll(scrollable, getScrollIntoViewDelta(top, top + scrollable.clientHeight, elementRect_1.top, elementRect_1.bottom));
+                    incrementHorizontalScroll(scrollable, getScrollIntoViewDelta(left, left + scrollable.clientWidth, elementRect_1.left, elementRect_1.right));
+                }
+            });
+            var _a = this._viewportRuler.getViewportSize(), width = _a.width, height = _a.height;
+            var elementRect = element.getBoundingClientRect();
+            var verticalDelta = getScrollIntoViewDelta(0, height, elementRect.top, elementRect.bottom);
+            var horizontalDelta = getScrollIntoViewDelta(0, width, elementRect.left, elementRect.right);
+            if (verticalDelta) {
+                incrementVerticalScroll(window, verticalDelta);
+            }
+            if (horizontalDelta) {
+                incrementHorizontalScroll(window, horizontalDelta);
+            }
+        };
+        /**
+         * Updates the selection in response to the user clicking on one of the items. Clicking while
+         * holding down ctrl or meta toggles the item, holding down shift selects all of the items
+         * between the last selected item and the clicked one and a plain click selects only the item.
+         * @param item Item that was clicked.
+         * @param event Event that triggered the click.
+         * @docs-private
+         */
+        DropListRef.prototype._handleItemClick = function (item, event) {
+            if (!this.multiSelect) {
+                return;
+            }
+            this.beforeSelectionChanged.next();
+            var selectedItems = this._selectedItems;
+            var isToggle = event.ctrlKey || event.metaKey;
+            var lastSelectedItem = this._lastSelectedItem;
+            var rangeStart = lastSelectedItem ? this._draggables.indexOf(lastSelectedItem) : -1;
+            var rangeEnd = this._draggables.indexOf(item);
+            if (event.shiftKey && rangeStart > -1 && rangeEnd > -1) {
+                if (!isToggle) {
+                    selectedItems.clear();
+                }
+                var _a = __read(rangeStart < rangeEnd ? [rangeStart, rangeEnd] : [rangeEnd, rangeStart], 2), start = _a[0], end = _a[1];
+                for (var i = start; i <= end; i++) {
+                    selectedItems.add(this._draggables[i]);
+                }
+            }
+            else if (isToggle) {
+                if (selectedItems.has(item)) {
+                    selectedItems.delete(item);
+                }
+                else {
+                    selectedItems.add(item);
+                }
+                this._lastSelectedItem = item;
+            }
+            else {
+                selectedItems.clear();
+                selectedItems.add(item);
+                this._lastSelectedItem = item;
+            }
+            this._emitSelectionChange();
+        };
+        /**
+         * Gets all of the items that should be dragged when the user starts dragging an item. If the
+         * item is selected, the rest of the selected items will be dragged together with it.
+         * @param item Item that the user started dragging.
+         * @docs-private
+         */
+        DropListRef.prototype._getMultiDragItems = function (item) {
+            return this.multiSelect && this._selectedItems.has(item) ?
+                Array.from(this._selectedItems) : [item];
+        };
+        /**
+         * Gets the index of an item among the items of the list, ignoring the sort order
+         * of the current drag sequence. Items that are dragged together with another item
+         * aren't part of the sorting so this is the only way to determine their index.
+         * @docs-private
+         */
+        DropListRef.prototype._getDraggableIndex = function (item) {
+            return this._draggables.indexOf(item);
+        };
         /** Starts the dragging sequence within the list. */
         DropListRef.prototype._draggingStarted = function () {
             var styles = coercion.coerceElement(this.element).style;
             this.beforeStarted.next();
             this._isDragging = true;
+            this._registerOwnerDocument();
             // We need to disable scroll snapping while the user is dragging, because it breaks automatic
             // scrolling. The browser seems to round the value based on the snapping points which means
             // that we can't increment/decrement the scroll position.
@@ -2197,11 +3875,18 @@
         };
         /** Refreshes the position cache of the items and sibling containers. */
         DropListRef.prototype._cacheItemPositions = function () {
+            var _this = this;
             var isHorizontal = this._orientation === 'horizontal';
             this._itemPositions = this._activeDraggables.map(function (drag) {
                 var elementToMeasure = drag.getVisibleElement();
-                return { drag: drag, offset: 0, clientRect: getMutableClientRect(elementToMeasure) };
-            }).sort(function (a, b) {
+                return { drag: drag, offset: 0, clientRect: getMutableClientRect(elementToMeasure, _this._document) };
+            });
+            // Items in a mixed list can wrap onto multiple lines so we can't sort them by a single
+            // coordinate. We keep them in the same order as in the DOM instead.
+            if (this._orientation === 'mixed') {
+                return;
+            }
+            this._itemPositions.sort(function (a, b) {
                 return isHorizontal ? a.clientRect.left - b.clientRect.left :
                     a.clientRect.top - b.clientRect.top;
             });
@@ -2219,6 +3904,10 @@
                     rootElement.style.transform = '';
                 }
             });
+            this._initialTransitions.forEach(function (transition, element) {
+                element.style.transition = transition;
+            });
+            this._initialTransitions.clear();
             this._siblings.forEach(function (sibling) { return sibling._stopReceiving(_this); });
             this._activeDraggables = [];
             this._itemPositions = [];
@@ -2284,6 +3973,15 @@
             }
             var itemPositions = this._itemPositions;
             var isHorizontal = this._orientation === 'horizontal';
+            // In a mixed list the item should be inserted first if the pointer is above the first
+            // line or if it's on the same line as the first item, but before it.
+            if (this._orientation === 'mixed') {
+                var firstItemRect = itemPositions[0].clientRect;
+                var isBeforeFirstItem = this._direction === 'rtl' ?
+                    pointerX >= firstItemRect.right : pointerX <= firstItemRect.left;
+                return pointerY < firstItemRect.top ||
+                    (pointerY <= firstItemRect.bottom && isBeforeFirstItem);
+            }
             // `itemPositions` are sorted by position while `activeDraggables` are sorted by child index
             // check if container is using some sort of "reverse" ordering (eg: flex-direction: row-reverse)
             var reversed = itemPositions[0].drag !== this._activeDraggables[0];
@@ -2306,6 +4004,7 @@
         DropListRef.prototype._getItemIndexFromPointerPosition = function (item, pointerX, pointerY, delta) {
             var _this = this;
             var isHorizontal = this._orientation === 'horizontal';
+            var isMixed = this._orientation === 'mixed';
             var index = findIndex(this._itemPositions, function (_a, _, array) {
                 var drag = _a.drag, clientRect = _a.clientRect;
                 if (drag === item) {
@@ -2314,7 +4013,7 @@
                     return array.length < 2;
                 }
                 if (delta) {
-                    var direction = isHorizontal ? delta.x : delta.y;
+                    var direction = isMixed ? delta.x || delta.y : (isHorizontal ? delta.x : delta.y);
                     // If the user is still hovering over the same item as last time, their cursor hasn't left
                     // the item after we made the swap, and they didn't change the direction in which they're
                     // dragging, we don't consider it a direction swap.
@@ -2323,6 +4022,11 @@
                         return false;
                     }
                 }
+                // Items in a mixed list can be on different lines so we need to look at both axes.
+                if (isMixed) {
+                    return pointerX >= Math.floor(clientRect.left) && pointerX < Math.floor(clientRect.right) &&
+                        pointerY >= Math.floor(clientRect.top) && pointerY < Math.floor(clientRect.bottom);
+                }
                 return isHorizontal ?
                     // Round these down since most browsers report client rects with
                     // sub-pixel precision, whereas the pointer coordinates are rounded to pixels.
@@ -2333,7 +4037,8 @@
         };
         /** Caches the current items in the list and their positions. */
         DropListRef.prototype._cacheItems = function () {
-            this._activeDraggables = this._draggables.slice();
+            // Items that are being dragged together with another item don't take part in the sorting.
+            this._activeDraggables = this._draggables.filter(function (item) { return !item._multiDragSource; });
             this._cacheItemPositions();
             this._cacheParentPositions();
         };
@@ -2353,7 +4058,87 @@
          * @param y Position of the item along the Y axis.
          */
         DropListRef.prototype._getSiblingContainerFromPosition = function (item, x, y) {
-            return this._siblings.find(function (sibling) { return sibling._canReceive(item, x, y); });
+            var candidates = this._siblings.filter(function (sibling) { return sibling._canReceive(item, x, y); });
+            if (!candidates.length) {
+                return undefined;
+            }
+            // The current container has to compete with its siblings when the lists are nested,
+            // otherwise an outer list would always win over the inner list that the item started in.
+            // Note that we don't check the `enterPredicate`, because the item started off in this list.
+            if (this._isOverContainer(x, y) && this._isTopmostElementAtPoint(x, y)) {
+                candidates.push(this);
+            }
+            // All of the candidates contain the element under the pointer so they're either the same
+            // element or ancestors of one another. The innermost one is the one that should win.
+            return candidates.reduce(function (innermost, candidate) {
+                return coercion.coerceElement(innermost.element).contains(coercion.coerceElement(candidate.element)) ?
+                    candidate : innermost;
+            });
+        };
+        /**
+         * Gets how deeply a container is nested inside this container and its siblings. Top-level
+         * containers are at level zero, containers inside one of their items are at level one etc.
+         * @param container Container whose level should be determined.
+         * @docs-private
+         */
+        DropListRef.prototype._getContainerLevel = function (container) {
+            var element = coercion.coerceElement(container.element);
+            var ancestors = __spread([this], this._siblings).filter(function (current) {
+                var currentElement = coercion.coerceElement(current.element);
+                return currentElement !== element && currentElement.contains(element);
+            });
+            return ancestors.length;
+        };
+        /**
+         * Finds the closest container, out of this one and its siblings, in a specific direction from
+         * an item. Used to move items between containers while dragging using the keyboard.
+         * @param item Item that is being dragged.
+         * @param currentContainer Container that the item is currently in.
+         * @param itemRect Current position of the item.
+         * @param direction Direction in which to look for a container.
+         * @docs-private
+         */
+        DropListRef.prototype._getSiblingContainerInDirection = function (item, currentContainer, itemRect, direction) {
+            var _this = this;
+            var centerX = itemRect.left + itemRect.width / 2;
+            var centerY = itemRect.top + itemRect.height / 2;
+            var closestContainer = null;
+            var closestDistance = Infinity;
+            // Note that the item's initial container is allowed regardless of its `enterPredicate`.
+            // See `DragRef._updateActiveDropContainer` for more context.
+            __spread([this], this._siblings).forEach(function (container) {
+                if (container === currentContainer ||
+                    (container !== _this && container.getDropEffect(item) === 'none')) {
+                    return;
+                }
+                var rect = getMutableClientRect(coercion.coerceElement(container.element), _this._document);
+                var distance;
+                switch (direction) {
+                    case 'up':
+                        distance = centerY - rect.bottom;
+                        break;
+                    case 'down':
+                        distance = rect.top - centerY;
+                        break;
+                    case 'left':
+                        distance = centerX - rect.right;
+                        break;
+                    default:
+                        distance = rect.left - centerX;
+                        break;
+                }
+                // Take the distance along the other axis into account so the closest container is picked.
+                var isVertical = direction === 'up' || direction === 'down';
+                var crossDistance = isVertical ?
+                    Math.max(rect.left - centerX, centerX - rect.right, 0) :
+                    Math.max(rect.top - centerY, centerY - rect.bottom, 0);
+                var totalDistance = distance + crossDistance;
+                if ((rect.width || rect.height) && distance >= 0 && totalDistance < closestDistance) {
+                    closestDistance = totalDistance;
+                    closestContainer = container;
+                }
+            });
+            return closestContainer;
         };
         /**
          * Checks whether the drop list can receive the passed-in item.
@@ -2362,11 +4147,41 @@
          * @param y Position of the item along the Y axis.
          */
         DropListRef.prototype._canReceive = function (item, x, y) {
+            // Items can't be dropped into lists that are nested inside of them.
             if (!this._clientRect || !isInsideClientRect(this._clientRect, x, y) ||
-                !this.enterPredicate(item, this)) {
+                !this.enterPredicate(item, this) || !this._acceptsItem(item) ||
+                item.getRootElement().contains(coercion.coerceElement(this.element))) {
                 return false;
             }
-            var elementFromPoint = this._getShadowRoot().elementFromPoint(x, y);
+            return this._isTopmostElementAtPoint(x, y);
+        };
+        /**
+         * Finds a connected list under a specific point that refuses the item being dragged.
+         * Used to show feedback to the user about why the item can't be dropped.
+         * @param x Position along the X axis.
+         * @param y Position along the Y axis.
+         * @docs-private
+         */
+        DropListRef.prototype._getRefusingSiblingFromPosition = function (x, y) {
+            var _this = this;
+            return this._siblings.find(function (sibling) {
+                return sibling._refusedSiblings.has(_this) && sibling._isOverContainer(x, y) &&
+                    sibling._isTopmostElementAtPoint(x, y);
+            });
+        };
+        /** Checks whether the list's `acceptRules` allow an item to be dropped into the list. */
+        DropListRef.prototype._acceptsItem = function (item) {
+            return !this.acceptRules || getAcceptedDropEffect(this.acceptRules, item.kinds) !== 'none';
+        };
+        /**
+         * Checks whether the drop list, or one of its descendants, is the top-most element at a point.
+         * @param x Position along the X axis.
+         * @param y Position along the Y axis.
+         */
+        DropListRef.prototype._isTopmostElementAtPoint = function (x, y) {
+            // Look through any shadow roots and same-origin frames so that lists
+            // inside different roots can be hit-tested against each other.
+            var elementFromPoint = getDeepElementFromPoint(this._document, x, y);
             // If there's no element at the pointer position, then
             // the client rect is probably scrolled out of the view.
             if (!elementFromPoint) {
@@ -2379,7 +4194,7 @@
             // we could end up transferring the item into a container that's invisible or is positioned
             // below another one. We use the result from `elementFromPoint` to get the top-most element
             // at the pointer position and to find whether it's one of the intersecting drop containers.
-            return elementFromPoint === nativeElement || nativeElement.contains(elementFromPoint);
+            return deepContains(nativeElement, elementFromPoint);
         };
         /**
          * Called by one of the connected drop lists when a dragging sequence has started.
@@ -2388,17 +4203,29 @@
         DropListRef.prototype._startReceiving = function (sibling, items) {
             var _this = this;
             var activeSiblings = this._activeSiblings;
-            if (!activeSiblings.has(sibling) && items.every(function (item) {
+            // Pointer events inside of a frame are dispatched on the frame's document so we
+            // need to listen to them even if the item can't enter this particular list.
+            this._registerOwnerDocument();
+            if (activeSiblings.has(sibling) || this._refusedSiblings.has(sibling)) {
+                return;
+            }
+            if (items.every(function (item) {
                 // Note that we have to add an exception to the `enterPredicate` for items that started off
                 // in this drop list. The drag ref has logic that allows an item to return to its initial
                 // container, if it has left the initial container and none of the connected containers
                 // allow it to enter. See `DragRef._updateActiveDropContainer` for more context.
-                return _this.enterPredicate(item, _this) || _this._draggables.indexOf(item) > -1;
+                return (_this.enterPredicate(item, _this) && _this._acceptsItem(item)) ||
+                    _this._draggables.indexOf(item) > -1;
             })) {
                 activeSiblings.add(sibling);
-                this._cacheParentPositions();
-                this._listenToScrollEvents();
             }
+            else {
+                // Keep track of the lists that refuse the item so that they can be styled differently
+                // and so that the item can show feedback when the user's pointer is over them.
+                this._refusedSiblings.add(sibling);
+            }
+            this._cacheParentPositions();
+            this._listenToScrollEvents();
         };
         /**
          * Called by a connected drop list when dragging has stopped.
@@ -2406,6 +4233,7 @@
          */
         DropListRef.prototype._stopReceiving = function (sibling) {
             this._activeSiblings.delete(sibling);
+            this._refusedSiblings.delete(sibling);
             this._viewportScrollSubscription.unsubscribe();
         };
         /**
@@ -2438,23 +4266,132 @@
                         });
                     }
                 }
-                else if (_this.isReceiving()) {
+                else if (_this.isReceiving() || _this.isRefusing()) {
                     _this._cacheParentPositions();
                 }
             });
         };
-        /**
-         * Lazily resolves and returns the shadow root of the element. We do this in a function, rather
-         * than saving it in property directly on init, because we want to resolve it as late as possible
-         * in order to ensure that the element has been moved into the shadow DOM. Doing it inside the
-         * constructor might be too early if the element is inside of something like `ngFor` or `ngIf`.
-         */
-        DropListRef.prototype._getShadowRoot = function () {
-            if (!this._cachedShadowRoot) {
-                var shadowRoot = platform._getShadowRoot(coercion.coerceElement(this.element));
-                this._cachedShadowRoot = shadowRoot || this._document;
+        /**
+         * Registers the document that the element is in with the drag&drop registry, if it's
+         * different from the main one, so that items can be dragged from and into frames. We do this
+         * lazily, rather than in the constructor, because the element could've been moved into a
+         * different document after it was created.
+         */
+        DropListRef.prototype._registerOwnerDocument = function () {
+            var ownerDocument = coercion.coerceElement(this.element).ownerDocument;
+            if (ownerDocument !== this._registeredDocument) {
+                if (this._registeredDocument) {
+                    this._dragDropRegistry.removeDocument(this._registeredDocument);
+                    this._registeredDocument = null;
+                }
+                if (ownerDocument && ownerDocument !== this._document) {
+                    this._registeredDocument = ownerDocument;
+                    this._dragDropRegistry.registerDocument(ownerDocument);
+                }
+            }
+        };
+        /** Whether the list can receive the data from a native drag event. */
+        DropListRef.prototype._canReceiveNativeDrag = function (event) {
+            if (!this.nativeDropsEnabled || !event.dataTransfer) {
+                return false;
+            }
+            // Native drag sequences can't happen while one of our own items is being dragged, because we
+            // disable the native interactions, but we check anyway since the two modes can't be mixed.
+            return this._nativeDropIndex !== null ||
+                (!this._isDragging && this.nativeEnterPredicate(event, this));
+        };
+        /** Starts showing where native data will be inserted, once it has been dragged into the list. */
+        DropListRef.prototype._startNativeDrag = function (event, x, y) {
+            this._draggingStarted();
+            var currentIndex = this._nativeDropIndex = this._getNativeDropIndex(x, y);
+            this._nativePlaceholder = this._createNativePlaceholder();
+            this._moveNativePlaceholder(currentIndex);
+            this.nativeEntered.next({ container: this, currentIndex: currentIndex, event: event });
+        };
+        /** Stops the native drag sequence, because the data was dragged out of the list. */
+        DropListRef.prototype._exitNativeDrag = function (event) {
+            this._endNativeDrag();
+            this.nativeExited.next({ container: this, event: event });
+        };
+        /** Removes the native placeholder and resets the list to its initial state. */
+        DropListRef.prototype._endNativeDrag = function () {
+            var placeholder = this._nativePlaceholder;
+            if (placeholder && placeholder.parentNode) {
+                placeholder.parentNode.removeChild(placeholder);
+            }
+            this._nativePlaceholder = this._nativeDropIndex = null;
+            this._nativeDragDepth = 0;
+            this._reset();
+        };
+        /**
+         * Gets the index at which native data would be inserted, based on the position of the pointer.
+         * The index is the number of items that come before the pointer in the list.
+         */
+        DropListRef.prototype._getNativeDropIndex = function (x, y) {
+            var _this = this;
+            var positions = this._itemPositions;
+            if (this.sortingDisabled) {
+                return positions.length;
+            }
+            var isRtl = this._direction === 'rtl';
+            return positions.filter(function (_a) {
+                var clientRect = _a.clientRect;
+                var centerX = clientRect.left + clientRect.width / 2;
+                var centerY = clientRect.top + clientRect.height / 2;
+                var isBeforeHorizontally = isRtl ? centerX > x : centerX < x;
+                if (_this._orientation === 'horizontal') {
+                    return isBeforeHorizontally;
+                }
+                if (_this._orientation === 'vertical') {
+                    return centerY < y;
+                }
+                // In mixed lists the items on previous lines come before the pointer, as well
+                // as the items on the current line which are before it horizontally.
+                return clientRect.bottom <= y || (clientRect.top <= y && isBeforeHorizontally);
+            }).length;
+        };
+        /** Moves the native placeholder to a specific index and animates the rest of the items. */
+        DropListRef.prototype._moveNativePlaceholder = function (index) {
+            var _this = this;
+            var placeholder = this._nativePlaceholder;
+            var items = this._activeDraggables;
+            var previousRects = new Map();
+            this._itemPositions.forEach(function (_a) {
+                var drag = _a.drag;
+                previousRects.set(drag, getMutableClientRect(drag.getVisibleElement(), _this._document));
+            });
+            if (index < items.length) {
+                var reference = items[index].getRootElement();
+                reference.parentNode.insertBefore(placeholder, reference);
+            }
+            else if (items.length) {
+                var lastItem = items[items.length - 1].getRootElement();
+                lastItem.parentNode.insertBefore(placeholder, lastItem.nextSibling);
+            }
+            else {
+                coercion.coerceElement(this.element).appendChild(placeholder);
+            }
+            this._animateToNewPositions(null, previousRects);
+        };
+        /** Creates the element that shows where native data will be inserted. */
+        DropListRef.prototype._createNativePlaceholder = function () {
+            var element = coercion.coerceElement(this.element);
+            var placeholder = (element.ownerDocument || this._document).createElement('div');
+            var firstItem = this._itemPositions[0];
+            placeholder.classList.add('cdk-drag-placeholder', 'cdk-drop-list-native-placeholder');
+            // The placeholder shouldn't become the target of the native drag events,
+            // because moving it around would throw off the `dragenter`/`dragleave` count.
+            placeholder.style.pointerEvents = 'none';
+            // Make the placeholder take up the same amount of space as an item by default.
+            if (firstItem) {
+                placeholder.style.width = firstItem.clientRect.width + "px";
+                placeholder.style.height = firstItem.clientRect.height + "px";
             }
-            return this._cachedShadowRoot;
+            return placeholder;
+        };
+        /** Emits the current selection through the `selectionChanged` stream. */
+        DropListRef.prototype._emitSelectionChange = function () {
+            this.selectionChanged.next({ container: this, items: this.getSelectedItems() });
         };
         /** Notifies any siblings that may potentially receive the item. */
         DropListRef.prototype._notifyReceivingSiblings = function () {
@@ -2478,34 +4415,6 @@
         }
         return -1;
     }
-    /**
-     * Increments the vertical scroll position of a node.
-     * @param node Node whose scroll position should change.
-     * @param amount Amount of pixels that the `node` should be scrolled.
-     */
-    function incrementVerticalScroll(node, amount) {
-        if (node === window) {
-            node.scrollBy(0, amount);
-        }
-        else {
-            // Ideally we could use `Element.scrollBy` here as well, but IE and Edge don't support it.
-            node.scrollTop += amount;
-        }
-    }
-    /**
-     * Increments the horizontal scroll position of a node.
-     * @param node Node whose scroll position should change.
-     * @param amount Amount of pixels that the `node` should be scrolled.
-     */
-    function incrementHorizontalScroll(node, amount) {
-        if (node === window) {
-            node.scrollBy(amount, 0);
-        }
-        else {
-            // Ideally we could use `Element.scrollBy` here as well, but IE and Edge don't support it.
-            node.scrollLeft += amount;
-        }
-    }
     /**
      * Gets whether the vertical auto-scroll direction of a node.
      * @param clientRect Dimensions of the node.
@@ -2580,6 +4489,374 @@
         return [verticalScrollDirection, horizontalScrollDirection];
     }
 
+    /**
+     * Reference to a canvas inside of which drag items can be positioned freely. Builds on the
+     * free drag positioning of the `DragRef` by snapping items to a grid, aligning them with their
+     * siblings and optionally preventing them from overlapping. Positions are reported relative to
+     * the top left corner of the canvas' padding box, taking its scroll position into account.
+     * The canvas element should be positioned so that the alignment guides can be placed inside it.
+     */
+    var DragCanvasRef = /** @class */ (function () {
+        function DragCanvasRef(element, _document) {
+            var _this = this;
+            this._document = _document;
+            /** Size of the grid, in pixels, to which items are snapped. Zero disables snapping. */
+            this.gridSize = 0;
+            /**
+             * Distance, in pixels, at which an item is aligned with one of its siblings and an alignment
+             * guide is shown. Alignment takes precedence over grid snapping. Zero disables the guides.
+             */
+            this.guideThreshold = 5;
+            /** Whether items are prevented from overlapping each other. */
+            this.preventOverlap = false;
+            /** Emits right before the user starts dragging an item inside the canvas. */
+            this.beforeStarted = new rxjs.Subject();
+            /** Emits when the user drops an item that is inside the canvas. */
+            this.dropped = new rxjs.Subject();
+            /** Items that are registered with the canvas, along with their event subscriptions. */
+            this._items = new Map();
+            /** State of the item that is currently being dragged. */
+            this._activeItem = null;
+            /** Origin of the item that is about to be dragged. Measured before it has moved. */
+            this._pendingOrigin = null;
+            /** Elements used to render the alignment guides. Reused between moves. */
+            this._guideElements = [];
+            /**
+             * Function that is assigned to the `constrainFreeDragPosition` of the canvas' items.
+             * Aligns, snaps and contains the proposed position of the item that is being dragged.
+             */
+            this._constrainPosition = function (transform, item) {
+                var activeItem = _this._activeItem;
+                if (!activeItem || activeItem.item !== item) {
+                    return transform;
+                }
+                var origin = activeItem.origin, width = activeItem.width, height = activeItem.height, siblings = activeItem.siblings;
+                var guides = [];
+                var threshold = _this.guideThreshold;
+                var x = origin.x + transform.x;
+                var y = origin.y + transform.y;
+                var alignedX = threshold > 0 ?
+                    getAlignment(x, width, siblings.map(function (s) { return [s.left, s.width]; }), threshold) : null;
+                var alignedY = threshold > 0 ?
+                    getAlignment(y, height, siblings.map(function (s) { return [s.top, s.height]; }), threshold) : null;
+                if (alignedX) {
+                    x = alignedX.position;
+                    guides.push({ orientation: 'vertical', position: alignedX.guide });
+                }
+                else {
+                    x = snapToGrid(x, _this.gridSize);
+                }
+                if (alignedY) {
+                    y = alignedY.position;
+                    guides.push({ orientation: 'horizontal', position: alignedY.guide });
+                }
+                else {
+                    y = snapToGrid(y, _this.gridSize);
+                }
+                x = clamp$2(x, 0, activeItem.canvasWidth - width);
+                y = clamp$2(y, 0, activeItem.canvasHeight - height);
+                if (_this.preventOverlap) {
+                    var position = _this._resolveCollisions({ x: x, y: y });
+                    x = position.x;
+                    y = position.y;
+                }
+                activeItem.lastValidPosition = { x: x, y: y };
+                _this._renderGuides(guides);
+                return { x: x - origin.x, y: y - origin.y };
+            };
+            this.element = coercion.coerceElement(element);
+        }
+        /** Removes the canvas functionality from the DOM element. */
+        DragCanvasRef.prototype.dispose = function () {
+            this._items.forEach(function (subscription, item) {
+                subscription.unsubscribe();
+                item.constrainFreeDragPosition = undefined;
+            });
+            this._items.clear();
+            this._removeGuides();
+            this._activeItem = this._pendingOrigin = null;
+            this.beforeStarted.complete();
+            this.dropped.complete();
+        };
+        /** Whether an item inside the canvas is being dragged. */
+        DragCanvasRef.prototype.isDragging = function () {
+            return !!this._activeItem;
+        };
+        /**
+         * Registers an item with the canvas.
+         * @param item Item to be added.
+         */
+        DragCanvasRef.prototype.addItem = function (item) {
+            var _this = this;
+            if (!this._items.has(item)) {
+                var subscription = new rxjs.Subscription();
+                subscription.add(item.beforeStarted.subscribe(function () { return _this._measureItemOrigin(item); }));
+                subscription.add(item.started.subscribe(function () { return _this._itemStarted(item); }));
+                subscription.add(item.ended.subscribe(function () { return _this._itemEnded(item); }));
+                item.constrainFreeDragPosition = this._constrainPosition;
+                this._items.set(item, subscription);
+            }
+            return this;
+        };
+        /**
+         * Removes an item from the canvas.
+         * @param item Item to be removed.
+         */
+        DragCanvasRef.prototype.removeItem = function (item) {
+            var subscription = this._items.get(item);
+            if (subscription) {
+                subscription.unsubscribe();
+                item.constrainFreeDragPosition = undefined;
+                this._items.delete(item);
+                if (this._activeItem && this._activeItem.item === item) {
+                    this._removeGuides();
+                    this._activeItem = null;
+                }
+            }
+            return this;
+        };
+        /**
+         * Gets the position of an item relative to the canvas.
+         * @param item Item whose position should be determined.
+         */
+        DragCanvasRef.prototype.getItemPosition = function (item) {
+            var rect = this._getRectInCanvas(item);
+            return { x: rect.left, y: rect.top };
+        };
+        /**
+         * Moves an item to a specific position inside the canvas.
+         * @param item Item to be moved.
+         * @param position Position, relative to the canvas, to which to move the item.
+         */
+        DragCanvasRef.prototype.setItemPosition = function (item, position) {
+            var origin = this._getItemOrigin(item);
+            item.setFreeDragPosition({ x: position.x - origin.x, y: position.y - origin.y });
+            return this;
+        };
+        /** Measures the origin of an item before the user has started moving it. */
+        DragCanvasRef.prototype._measureItemOrigin = function (item) {
+            this.beforeStarted.next();
+            this._pendingOrigin = { item: item, origin: this._getItemOrigin(item) };
+        };
+        /** Caches the state of the canvas when the user starts dragging one of its items. */
+        DragCanvasRef.prototype._itemStarted = function (item) {
+            var _this = this;
+            var pending = this._pendingOrigin;
+            var origin = pending && pending.item === item ? pending.origin : this._getItemOrigin(item);
+            var rect = this._getRectInCanvas(item);
+            var element = coercion.coerceElement(this.element);
+            var startPosition = { x: rect.left, y: rect.top };
+            var siblings = [];
+            this._items.forEach(function (_, sibling) {
+                if (sibling !== item) {
+                    siblings.push(_this._getRectInCanvas(sibling));
+                }
+            });
+            this._pendingOrigin = null;
+            this._activeItem = {
+                item: item,
+                origin: origin,
+                startPosition: startPosition,
+                lastValidPosition: startPosition,
+                width: rect.width,
+                height: rect.height,
+                siblings: siblings,
+                canvasWidth: element.scrollWidth,
+                canvasHeight: element.scrollHeight
+            };
+        };
+        /** Emits the final position of an item once the user has dropped it. */
+        DragCanvasRef.prototype._itemEnded = function (item) {
+            var activeItem = this._activeItem;
+            if (!activeItem || activeItem.item !== item) {
+                return;
+            }
+            var transform = item.getFreeDragPosition();
+            this._removeGuides();
+            this._activeItem = null;
+            this.dropped.next({
+                item: item,
+                container: this,
+                position: {
+                    x: activeItem.origin.x + transform.x,
+                    y: activeItem.origin.y + transform.y
+                },
+                previousPosition: activeItem.startPosition
+            });
+        };
+        /**
+         * Resolves collisions between the item that is being dragged and its siblings. If the
+         * proposed position overlaps with a sibling, the item is allowed to slide along the axis
+         * that is still free, otherwise it stays at its last valid position.
+         */
+        DragCanvasRef.prototype._resolveCollisions = function (position) {
+            var e_1, _a;
+            var _b = this._activeItem, lastValidPosition = _b.lastValidPosition, width = _b.width, height = _b.height, siblings = _b.siblings;
+            var candidates = [
+                position,
+                { x: position.x, y: lastValidPosition.y },
+                { x: lastValidPosition.x, y: position.y }
+            ];
+            var _loop_1 = function (candidate) {
+                var rect = { left: candidate.x, top: candidate.y, width: width, height: height };
+                if (!siblings.some(function (sibling) { return rectsOverlap(rect, sibling); })) {
+                    return { value: candidate };
+                }
+            };
+            try {
+                for (var candidates_1 = __values(candidates), candidates_1_1 = candidates_1.next(); !candidates_1_1.done; candidates_1_1 = candidates_1.next()) {
+                    var candidate = candidates_1_1.value;
+                    var state_1 = _loop_1(candidate);
+                    if (typeof state_1 === "object")
+                        return state_1.value;
+                }
+            }
+            catch (e_1_1) { e_1 = { error: e_1_1 }; }
+            finally {
+                try {
+                    if (candidates_1_1 && !candidates_1_1.done && (_a = candidates_1.return)) _a.call(candidates_1);
+                }
+                finally { if (e_1) throw e_1.error; }
+            }
+            return lastValidPosition;
+        };
+        /** Renders the alignment guides inside the canvas. */
+        DragCanvasRef.prototype._renderGuides = function (guides) {
+            var _this = this;
+            var element = coercion.coerceElement(this.element);
+            var _a = this._activeItem, canvasWidth = _a.canvasWidth, canvasHeight = _a.canvasHeight;
+            guides.forEach(function (guide, index) {
+                var guideElement = _this._guideElements[index];
+                if (!guideElement) {
+                    guideElement = _this._document.createElement('div');
+                    guideElement.setAttribute('aria-hidden', 'true');
+                    _this._guideElements.push(guideElement);
+                }
+                var isVertical = guide.orientation === 'vertical';
+                guideElement.className =
+                    "cdk-drag-canvas-guide cdk-drag-canvas-guide-" + guide.orientation;
+                extendStyles(guideElement.style, {
+                    position: 'absolute',
+                    pointerEvents: 'none',
+                    left: (isVertical ? guide.position : 0) + "px",
+                    top: (isVertical ? 0 : guide.position) + "px",
+                    width: (isVertical ? 0 : canvasWidth) + "px",
+                    height: (isVertical ? canvasHeight : 0) + "px"
+                });
+                if (guideElement.parentNode !== element) {
+                    element.appendChild(guideElement);
+                }
+            });
+            // Remove any guides that aren't necessary anymore.
+            this._guideElements.splice(guides.length).forEach(removeGuide);
+        };
+        /** Removes all of the alignment guides from the DOM. */
+        DragCanvasRef.prototype._removeGuides = function () {
+            this._guideElements.forEach(removeGuide);
+            this._guideElements = [];
+        };
+        /**
+         * Gets the position that an item would have inside the canvas if its free drag position was
+         * zero. Has to be measured while the item isn't being dragged.
+         */
+        DragCanvasRef.prototype._getItemOrigin = function (item) {
+            var rect = this._getRectInCanvas(item);
+            var transform = item.getFreeDragPosition();
+            return { x: rect.left - transform.x, y: rect.top - transform.y };
+        };
+        /** Gets the dimensions of an item, relative to the canvas' scrollable area. */
+        DragCanvasRef.prototype._getRectInCanvas = function (item) {
+            var element = coercion.coerceElement(this.element);
+            var canvasRect = getMutableClientRect(element, this._document);
+            var itemRect = getMutableClientRect(item.getRootElement(), this._document);
+            return {
+                left: itemRect.left - canvasRect.left - element.clientLeft + element.scrollLeft,
+                top: itemRect.top - canvasRect.top - element.clientTop + element.scrollTop,
+                width: itemRect.width,
+                height: itemRect.height
+            };
+        };
+        return DragCanvasRef;
+    }());
+    /**
+     * Aligns the start, center or end of an item with the closest start, center
+     * or end of one of its siblings, if it's within a threshold, along one axis.
+     * @param start Start of the item along the axis.
+     * @param size Size of the item along the axis.
+     * @param siblings Starts and sizes of the siblings along the axis.
+     * @param threshold Maximum distance at which the item will be aligned.
+     * @returns The aligned start of the item and the position of the guide, or null if the
+     *     item isn't close enough to any of its siblings.
+     */
+    function getAlignment(start, size, siblings, threshold) {
+        var e_2, _a, e_3, _b, e_4, _c;
+        var itemEdges = [start, start + size / 2, start + size];
+        var result = null;
+        var closestDistance = threshold;
+        try {
+            for (var siblings_1 = __values(siblings), siblings_1_1 = siblings_1.next(); !siblings_1_1.done; siblings_1_1 = siblings_1.next()) {
+                var _d = __read(siblings_1_1.value, 2), siblingStart = _d[0], siblingSize = _d[1];
+                var siblingEdges = [siblingStart, siblingStart + siblingSize / 2, siblingStart + siblingSize];
+                try {
+                    for (var siblingEdges_1 = (e_3 = void 0, __values(siblingEdges)), siblingEdges_1_1 = siblingEdges_1.next(); !siblingEdges_1_1.done; siblingEdges_1_1 = siblingEdges_1.next()) {
+                        var siblingEdge = siblingEdges_1_1.value;
+                        try {
+                            for (var itemEdges_1 = (e_4 = void 0, __values(itemEdges)), itemEdges_1_1 = itemEdges_1.next(); !itemEdges_1_1.done; itemEdges_1_1 = itemEdges_1.next()) {
+                                var itemEdge = itemEdges_1_1.value;
+                                var distance = Math.abs(siblingEdge - itemEdge);
+                                if (distance <= closestDistance) {
+                                    closestDistance = distance;
+                                    result = { position: start + siblingEdge - itemEdge, guide: siblingEdge };
+                                }
+                            }
+                        }
+                        catch (e_4_1) { e_4 = { error: e_4_1 }; }
+                        finally {
+                            try {
+                                if (itemEdges_1_1 && !itemEdges_1_1.done && (_c = itemEdges_1.return)) _c.call(itemEdges_1);
+                            }
+                            finally { if (e_4) throw e_4.error; }
+                        }
+                    }
+                }
+                catch (e_3_1) { e_3 = { error: e_3_1 }; }
+                finally {
+                    try {
+                        if (siblingEdges_1_1 && !siblingEdges_1_1.done && (_b = siblingEdges_1.return)) _b.call(siblingEdges_1);
+                    }
+                    finally { if (e_3) throw e_3.error; }
+                }
+            }
+        }
+        catch (e_2_1) { e_2 = { error: e_2_1 }; }
+        finally {
+            try {
+                if (siblings_1_1 && !siblings_1_1.done && (_a = siblings_1.return)) _a.call(siblings_1);
+            }
+            finally { if (e_2) throw e_2.error; }
+        }
+        return result;
+    }
+    /** Snaps a value to the closest grid line. */
+    function snapToGrid(value, gridSize) {
+        return gridSize > 0 ? Math.round(value / gridSize) * gridSize : value;
+    }
+    /** Clamps a value between a minimum and a maximum. */
+    function clamp$2(value, min, max) {
+        return Math.max(min, Math.min(max, value));
+    }
+    /** Checks whether two rectangles overlap. Rectangles that only touch don't overlap. */
+    function rectsOverlap(a, b) {
+        return a.left < b.left + b.width && b.left < a.left + a.width &&
+            a.top < b.top + b.height && b.top < a.top + a.height;
+    }
+    /** Removes an alignment guide from the DOM. */
+    function removeGuide(guide) {
+        if (guide.parentNode) {
+            guide.parentNode.removeChild(guide);
+        }
+    }
+
     /**
      * @license
      * Copyright Google LLC All Rights Reserved.
@@ -2587,6 +4864,294 @@
      * Use of this source code is governed by an MIT-style license that can be
      * found in the LICENSE file at https://angular.io/license
      */
+    /**
+     * Reference to an element that can be resized by dragging its handles. Uses a `DragRef` for
+     * each handle in order to track the user's pointer. Handles can also be focused and moved
+     * using the arrow keys.
+     */
+    var ResizeRef = /** @class */ (function () {
+        function ResizeRef(element, _config, _document, _ngZone, _viewportRuler, _dragDropRegistry) {
+            var _this = this;
+            this._config = _config;
+            this._document = _document;
+            this._ngZone = _ngZone;
+            this._viewportRuler = _viewportRuler;
+            this._dragDropRegistry = _dragDropRegistry;
+            /** Handles that have been registered with the ref. */
+            this._handles = [];
+            /** Handle that the user is currently dragging. */
+            this._activeHandle = null;
+            /** Element inside of which the element can't be resized beyond. */
+            this._boundaryElement = null;
+            /** Layout direction of the element. */
+            this._direction = 'ltr';
+            this._disabled = false;
+            /** Minimum width of the element, in pixels. */
+            this.minWidth = 0;
+            /** Maximum width of the element, in pixels. */
+            this.maxWidth = Infinity;
+            /** Minimum height of the element, in pixels. */
+            this.minHeight = 0;
+            /** Maximum height of the element, in pixels. */
+            this.maxHeight = Infinity;
+            /**
+             * Whether to preserve the ratio between the element's width and height,
+             * as it was when the user started resizing.
+             */
+            this.lockAspectRatio = false;
+            /** Amount of pixels by which to resize the element when the user presses an arrow key. */
+            this.keyboardStep = 10;
+            /** Emits before the user starts resizing the element. */
+            this.beforeStarted = new rxjs.Subject();
+            /** Emits when the user starts resizing the element. */
+            this.started = new rxjs.Subject();
+            /** Emits as the user is resizing the element. */
+            this.resized = new rxjs.Subject();
+            /** Emits when the user stops resizing the element. */
+            this.ended = new rxjs.Subject();
+            /** Handles keyboard events on the resize handles. */
+            this._handleKeydown = function (event) {
+                var handle = _this._handles.find(function (current) { return current.element === event.currentTarget; });
+                var keyCode = event.keyCode;
+                if (!handle || _this._disabled || _this._activeHandle || keycodes.hasModifierKey(event) ||
+                    (keyCode !== keycodes.LEFT_ARROW && keyCode !== keycodes.RIGHT_ARROW &&
+                        keyCode !== keycodes.UP_ARROW && keyCode !== keycodes.DOWN_ARROW)) {
+                    return;
+                }
+                var direction = _this._getHandleDirection(handle.position);
+                var step = _this.keyboardStep;
+                var distance = {
+                    x: keyCode === keycodes.LEFT_ARROW ? -step : (keyCode === keycodes.RIGHT_ARROW ? step : 0),
+                    y: keyCode === keycodes.UP_ARROW ? -step : (keyCode === keycodes.DOWN_ARROW ? step : 0)
+                };
+                // Don't do anything if the key would move the handle along an axis that it doesn't resize.
+                if ((distance.x !== 0 && direction.x === 0) || (distance.y !== 0 && direction.y === 0)) {
+                    return;
+                }
+                event.preventDefault();
+                _this._ngZone.run(function () {
+                    _this.beforeStarted.next();
+                    _this._startResizing(handle);
+                    _this._resize(handle, distance);
+                    _this._stopResizing(handle);
+                });
+            };
+            this._element = coercion.coerceElement(element);
+        }
+        Object.defineProperty(ResizeRef.prototype, "disabled", {
+            /** Whether resizing is disabled. */
+            get: function () { return this._disabled; },
+            set: function (value) {
+                this._disabled = value;
+                this._handles.forEach(function (handle) { return handle.dragRef.disabled = value; });
+            },
+            enumerable: false,
+            configurable: true
+        });
+        /** Whether the user is currently resizing the element. */
+        ResizeRef.prototype.isResizing = function () {
+            return !!this._activeHandle;
+        };
+        /**
+         * Registers the handles through which the user can resize the element.
+         * @param handles Handles that should be registered.
+         */
+        ResizeRef.prototype.withHandles = function (handles) {
+            var _this = this;
+            this._removeHandles();
+            this._handles = handles.map(function (handle) { return _this._createHandle(handle); });
+            return this;
+        };
+        /**
+         * Sets an element that the resizable element can't grow beyond.
+         * @param boundaryElement Element that the element should stay inside of.
+         */
+        ResizeRef.prototype.withBoundaryElement = function (boundaryElement) {
+            var _this = this;
+            this._boundaryElement = boundaryElement ? coercion.coerceElement(boundaryElement) : null;
+            this._handles.forEach(function (handle) { return handle.dragRef.withBoundaryElement(_this._boundaryElement); });
+            return this;
+        };
+        /** Sets the layout direction of the element. */
+        ResizeRef.prototype.withDirection = function (direction) {
+            this._direction = direction;
+            this._handles.forEach(function (handle) { return handle.dragRef.withDirection(direction); });
+            return this;
+        };
+        /** Gets the current dimensions of the element. */
+        ResizeRef.prototype.getSize = function () {
+            var _a = this._element.getBoundingClientRect(), width = _a.width, height = _a.height;
+            return { width: width, height: height };
+        };
+        /**
+         * Resizes the element to specific dimensions. The dimensions are constrained
+         * by the ref's minimum and maximum sizes.
+         * @param size Dimensions to which to resize the element.
+         */
+        ResizeRef.prototype.setSize = function (size) {
+            this._initialSize = this._currentSize = this.getSize();
+            this._measureSizeOffset();
+            this._applySize(this._constrainSize(size, true, true));
+            return this;
+        };
+        /** Removes the resizing functionality from the element. */
+        ResizeRef.prototype.dispose = function () {
+            this._removeHandles();
+            this._boundaryElement = this._activeHandle = null;
+            this.beforeStarted.complete();
+            this.started.complete();
+            this.resized.complete();
+            this.ended.complete();
+        };
+        /** Creates the state for a handle and starts listening to its events. */
+        ResizeRef.prototype._createHandle = function (handle) {
+            var _this = this;
+            var element = coercion.coerceElement(handle.element);
+            var position = handle.position;
+            var dragRef = new DragRef(element, this._config, this._document, this._ngZone, this._viewportRuler, this._dragDropRegistry);
+            var resizesX = position.indexOf('start') > -1 || position.indexOf('end') > -1;
+            var resizesY = position.indexOf('top') > -1 || position.indexOf('bottom') > -1;
+            var handleRef = {
+                element: element,
+                position: position,
+                dragRef: dragRef,
+                subscription: new rxjs.Subscription()
+            };
+            // The handle shouldn't move while it's being dragged, because the element's
+            // new dimensions will put it into its new place. We only need the `DragRef`
+            // in order to track the pointer and to constrain it to the boundary.
+            dragRef.constrainFreeDragPosition = function () { return ({ x: 0, y: 0 }); };
+            if (resizesX !== resizesY) {
+                dragRef.lockAxis = resizesX ? 'x' : 'y';
+            }
+            dragRef.disabled = this._disabled;
+            dragRef.withBoundaryElement(this._boundaryElement).withDirection(this._direction);
+            handleRef.subscription.add(dragRef.beforeStarted.subscribe(function () { return _this.beforeStarted.next(); }));
+            handleRef.subscription.add(dragRef.started.subscribe(function () { return _this._startResizing(handleRef); }));
+            handleRef.subscription.add(dragRef.moved.subscribe(function (event) {
+                _this._resize(handleRef, event.distance);
+            }));
+            handleRef.subscription.add(dragRef.ended.subscribe(function () { return _this._stopResizing(handleRef); }));
+            this._ngZone.runOutsideAngular(function () {
+                element.addEventListener('keydown', _this._handleKeydown);
+            });
+            return handleRef;
+        };
+        /** Removes all of the registered handles. */
+        ResizeRef.prototype._removeHandles = function () {
+            var _this = this;
+            this._handles.forEach(function (handle) {
+                handle.element.removeEventListener('keydown', _this._handleKeydown);
+                handle.subscription.unsubscribe();
+                handle.dragRef.dispose();
+            });
+            this._handles = [];
+        };
+        /** Starts a resizing sequence through a specific handle. */
+        ResizeRef.prototype._startResizing = function (handle) {
+            this._activeHandle = handle;
+            this._initialSize = this._currentSize = this.getSize();
+            this._measureSizeOffset();
+            this.started.next({ source: this, handle: handle.element });
+        };
+        /**
+         * Resizes the element based on how far the user has moved a handle.
+         * @param handle Handle that is being moved.
+         * @param distance Distance that the handle has been moved since resizing started.
+         */
+        ResizeRef.prototype._resize = function (handle, distance) {
+            var _a = this._getHandleDirection(handle.position), directionX = _a.x, directionY = _a.y;
+            var size = this._constrainSize({
+                width: this._initialSize.width + distance.x * directionX,
+                height: this._initialSize.height + distance.y * directionY
+            }, directionX !== 0, directionY !== 0);
+            if (size.width !== this._currentSize.width || size.height !== this._currentSize.height) {
+                this._applySize(size);
+                this.resized.next(Object.assign({ source: this, handle: handle.element }, size));
+            }
+        };
+        /** Stops the current resizing sequence. */
+        ResizeRef.prototype._stopResizing = function (handle) {
+            this._activeHandle = null;
+            this.ended.next(Object.assign({ source: this, handle: handle.element }, this._currentSize));
+        };
+        /**
+         * Gets the direction in which a handle changes the element's dimensions.
+         * `1` means that the dimension increases as the pointer moves to the right or down,
+         * `-1` means that it decreases and `0` means that the handle doesn't affect it.
+         */
+        ResizeRef.prototype._getHandleDirection = function (position) {
+            var isRtl = this._direction === 'rtl';
+            var x = 0;
+            var y = 0;
+            if (position.indexOf('end') > -1) {
+                x = isRtl ? -1 : 1;
+            }
+            else if (position.indexOf('start') > -1) {
+                x = isRtl ? 1 : -1;
+            }
+            if (position.indexOf('bottom') > -1) {
+                y = 1;
+            }
+            else if (position.indexOf('top') > -1) {
+                y = -1;
+            }
+            return { x: x, y: y };
+        };
+        /**
+         * Constrains a set of dimensions to the minimum and maximum sizes
+         * and to the element's aspect ratio, if it is locked.
+         * @param size Dimensions to be constrained.
+         * @param resizesX Whether the width is being changed.
+         * @param resizesY Whether the height is being changed.
+         */
+        ResizeRef.prototype._constrainSize = function (size, resizesX, resizesY) {
+            var initialSize = this._initialSize;
+            var width = resizesX ? clamp$3(size.width, this.minWidth, this.maxWidth) : initialSize.width;
+            var height = resizesY ? clamp$3(size.height, this.minHeight, this.maxHeight) : initialSize.height;
+            if (this.lockAspectRatio && initialSize.width > 0 && initialSize.height > 0) {
+                var ratio = initialSize.width / initialSize.height;
+                // Let the dimension that has changed the most determine the size.
+                if (!resizesY || (resizesX &&
+                    Math.abs(width / initialSize.width - 1) >= Math.abs(height / initialSize.height - 1))) {
+                    height = width / ratio;
+                }
+                else {
+                    width = height * ratio;
+                }
+                width = clamp$3(width, Math.max(this.minWidth, this.minHeight * ratio), Math.min(this.maxWidth, this.maxHeight * ratio));
+                height = width / ratio;
+            }
+            return { width: width, height: height };
+        };
+        /** Measures how much the element's dimensions differ from its `width` and `height`. */
+        ResizeRef.prototype._measureSizeOffset = function () {
+            var styles = getComputedStyle(this._element);
+            var width = parseFloat(styles.width);
+            var height = parseFloat(styles.height);
+            this._sizeOffset = {
+                width: isNaN(width) ? 0 : this._initialSize.width - width,
+                height: isNaN(height) ? 0 : this._initialSize.height - height
+            };
+        };
+        /** Applies a set of dimensions to the element. */
+        ResizeRef.prototype._applySize = function (size) {
+            var style = this._element.style;
+            if (size.width !== this._currentSize.width) {
+                style.width = Math.max(0, size.width - this._sizeOffset.width) + "px";
+            }
+            if (size.height !== this._currentSize.height) {
+                style.height = Math.max(0, size.height - this._sizeOffset.height) + "px";
+            }
+            this._currentSize = size;
+        };
+        return ResizeRef;
+    }());
+    /** Clamps a value between a minimum and a maximum. */
+    function clamp$3(value, min, max) {
+        return Math.max(min, Math.min(max, value));
+    }
+
     /** Event options that can be used to bind an active, capturing event. */
     var activeCapturingEventOptions = platform.normalizePassiveListenerOptions({
         passive: false,
@@ -2594,7 +5159,8 @@
     });
     /**
      * Service that keeps track of all the drag item and drop container
-     * instances, and manages global event listeners on the `document`.
+     * instances, and manages global event listeners on the `document`, as well as
+     * on the documents of any same-origin frames that contain items or containers.
      * @docs-private
      */
     // Note: this class is generic, rather than referencing CdkDrag and CdkDropList directly, in order
@@ -2610,6 +5176,11 @@
             this._dragInstances = new Set();
             /** Drag item instances that are currently being dragged. */
             this._activeDragInstances = [];
+            /**
+             * Documents, other than the main one, that contain drag items or drop containers, as well as
+             * the number of items and containers that have registered each of them.
+             */
+            this._frameDocuments = new Map();
             /** Keeps track of the event listeners that we've bound to the `document`. */
             this._globalListeners = new Map();
             /**
@@ -2667,22 +5238,65 @@
             // See https://bugs.webkit.org/show_bug.cgi?id=184250.
             if (this._dragInstances.size === 1) {
                 this._ngZone.runOutsideAngular(function () {
-                    // The event handler has to be explicitly active,
-                    // because newer browsers make it passive by default.
-                    _this._document.addEventListener('touchmove', _this._persistentTouchmoveListener, activeCapturingEventOptions);
+                    _this._getDocuments().forEach(function (document) { return _this._addTouchmoveListener(document); });
+                });
+            }
+        };
+        /**
+         * Registers a document, other than the main one, that contains drag items or drop containers.
+         * The global event listeners are bound to all the registered documents so that items
+         * can be dragged between same-origin frames.
+         * @param document Document to be registered.
+         */
+        DragDropRegistry.prototype.registerDocument = function (document) {
+            var _this = this;
+            if (document === this._document) {
+                return;
+            }
+            var count = this._frameDocuments.get(document) || 0;
+            this._frameDocuments.set(document, count + 1);
+            if (count === 0) {
+                this._ngZone.runOutsideAngular(function () {
+                    if (_this._dragInstances.size > 0) {
+                        _this._addTouchmoveListener(document);
+                    }
+                    _this._globalListeners.forEach(function (config, name) {
+                        document.addEventListener(name, config.handler, config.options);
+                    });
                 });
             }
         };
+        /**
+         * Removes a document that was added through `registerDocument`. The document's listeners
+         * are removed once all of the items and containers that registered it have removed it.
+         * @param document Document to be removed.
+         */
+        DragDropRegistry.prototype.removeDocument = function (document) {
+            var count = this._frameDocuments.get(document);
+            if (!count) {
+                return;
+            }
+            if (count > 1) {
+                this._frameDocuments.set(document, count - 1);
+                return;
+            }
+            this._frameDocuments.delete(document);
+            this._removeTouchmoveListener(document);
+            this._globalListeners.forEach(function (config, name) {
+                document.removeEventListener(name, config.handler, config.options);
+            });
+        };
         /** Removes a drop container from the registry. */
         DragDropRegistry.prototype.removeDropContainer = function (drop) {
             this._dropInstances.delete(drop);
         };
         /** Removes a drag item instance from the registry. */
         DragDropRegistry.prototype.removeDragItem = function (drag) {
+            var _this = this;
             this._dragInstances.delete(drag);
             this.stopDragging(drag);
             if (this._dragInstances.size === 0) {
-                this._document.removeEventListener('touchmove', this._persistentTouchmoveListener, activeCapturingEventOptions);
+                this._getDocuments().forEach(function (document) { return _this._removeTouchmoveListener(document); });
             }
         };
         /**
@@ -2730,8 +5344,10 @@
                     });
                 }
                 this._ngZone.runOutsideAngular(function () {
-                    _this._globalListeners.forEach(function (config, name) {
-                        _this._document.addEventListener(name, config.handler, config.options);
+                    _this._getDocuments().forEach(function (document) {
+                        _this._globalListeners.forEach(function (config, name) {
+                            document.addEventListener(name, config.handler, config.options);
+                        });
                     });
                 });
             }
@@ -2755,17 +5371,34 @@
             this._dragInstances.forEach(function (instance) { return _this.removeDragItem(instance); });
             this._dropInstances.forEach(function (instance) { return _this.removeDropContainer(instance); });
             this._clearGlobalListeners();
+            this._frameDocuments.clear();
             this.pointerMove.complete();
             this.pointerUp.complete();
         };
         /** Clears out the global event listeners from the `document`. */
         DragDropRegistry.prototype._clearGlobalListeners = function () {
             var _this = this;
-            this._globalListeners.forEach(function (config, name) {
-                _this._document.removeEventListener(name, config.handler, config.options);
+            this._getDocuments().forEach(function (document) {
+                _this._globalListeners.forEach(function (config, name) {
+                    document.removeEventListener(name, config.handler, config.options);
+                });
             });
             this._globalListeners.clear();
         };
+        /** Binds the persistent `touchmove` listener to a document. */
+        DragDropRegistry.prototype._addTouchmoveListener = function (document) {
+            // The event handler has to be explicitly active,
+            // because newer browsers make it passive by default.
+            document.addEventListener('touchmove', this._persistentTouchmoveListener, activeCapturingEventOptions);
+        };
+        /** Removes the persistent `touchmove` listener from a document. */
+        DragDropRegistry.prototype._removeTouchmoveListener = function (document) {
+            document.removeEventListener('touchmove', this._persistentTouchmoveListener, activeCapturingEventOptions);
+        };
+        /** Gets all of the documents to which the global listeners should be bound. */
+        DragDropRegistry.prototype._getDocuments = function () {
+            return __spread([this._document], Array.from(this._frameDocuments.keys()));
+        };
         return DragDropRegistry;
     }());
     DragDropRegistry.ɵprov = i0.ɵɵdefineInjectable({ factory: function DragDropRegistry_Factory() { return new DragDropRegistry(i0.ɵɵinject(i0.NgZone), i0.ɵɵinject(i1.DOCUMENT)); }, token: DragDropRegistry, providedIn: "root" });
@@ -2815,6 +5448,22 @@
         DragDrop.prototype.createDropList = function (element) {
             return new DropListRef(element, this._dragDropRegistry, this._document, this._ngZone, this._viewportRuler);
         };
+        /**
+         * Turns an element into a canvas inside of which drag items can be positioned freely.
+         * @param element Element to which to attach the canvas functionality.
+         */
+        DragDrop.prototype.createDragCanvas = function (element) {
+            return new DragCanvasRef(element, this._document);
+        };
+        /**
+         * Turns an element into one that can be resized by dragging its handles.
+         * @param element Element to which to attach the resizing functionality.
+         * @param config Object used to configure the dragging behavior of the handles.
+         */
+        DragDrop.prototype.createResizable = function (element, config) {
+            if (config === void 0) { config = DEFAULT_CONFIG; }
+            return new ResizeRef(element, config, this._document, this._ngZone, this._viewportRuler, this._dragDropRegistry);
+        };
         return DragDrop;
     }());
     DragDrop.ɵprov = i0.ɵɵdefineInjectable({ factory: function DragDrop_Factory() { return new DragDrop(i0.ɵɵinject(i1.DOCUMENT), i0.ɵɵinject(i0.NgZone), i0.ɵɵinject(i2.ViewportRuler), i0.ɵɵinject(DragDropRegistry)); }, token: DragDrop, providedIn: "root" });
@@ -2828,6 +5477,193 @@
         { type: DragDropRegistry }
     ]; };
 
+    /**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+    /**
+     * Service that applies the outcome of drag&drop interactions to the data of the drop lists and
+     * keeps track of them so they can be undone and redone. The service is shared across the app by
+     * default, but it can be provided on a component in order to keep a separate history for it.
+     */
+    var DragDropHistory = /** @class */ (function () {
+        function DragDropHistory() {
+            /** Operations that can be undone, from oldest to newest. */
+            this._undoStack = [];
+            /** Operations that can be redone, from oldest to newest. */
+            this._redoStack = [];
+            /** Maximum number of operations that are kept in the history. */
+            this.maxSize = 100;
+            /** Emits when an operation is applied, undone or redone. */
+            this.changes = new rxjs.Subject();
+        }
+        DragDropHistory.prototype.ngOnDestroy = function () {
+            this.clear();
+            this.changes.complete();
+        };
+        /**
+         * Applies the outcome of a drop to the data of the drop lists involved and records it in the
+         * history. Expects the `data` of the drop lists to be the arrays that they're rendering.
+         * @param event Event emitted when the user dropped the item.
+         * @param type Kind of operation to perform. Defaults to `copy` if the drop effect was `copy`,
+         *   to `move` if the item was dropped in the same list that it was picked up from and to
+         *   `transfer` otherwise.
+         * @returns Operation that was applied.
+         */
+        DragDropHistory.prototype.apply = function (event, type) {
+            var previousArray = event.previousContainer.data;
+            var currentArray = event.container.data;
+            var indices = event.previousIndices && event.previousIndices.length ?
+                event.previousIndices : [event.previousIndex];
+            if (!type) {
+                if (event.dropEffect === 'copy') {
+                    type = 'copy';
+                }
+                else {
+                    type = previousArray === currentArray ? 'move' : 'transfer';
+                }
+            }
+            if ((typeof ngDevMode === 'undefined' || ngDevMode) &&
+                type === 'move' && previousArray !== currentArray) {
+                throw Error('DragDropHistory: cannot record a `move` operation between different arrays.');
+            }
+            var previousIndices = indices
+                .filter(function (index, position) { return index > -1 && index < previousArray.length &&
+                indices.indexOf(index) === position; })
+                .sort(function (a, b) { return a - b; });
+            var items = previousIndices.map(function (index) { return previousArray[index]; });
+            var maxIndex = type === 'move' ? currentArray.length - items.length : currentArray.length;
+            var operation = {
+                type: type,
+                items: items,
+                previousArray: previousArray,
+                currentArray: currentArray,
+                previousIndices: previousIndices,
+                currentIndex: Math.max(0, Math.min(maxIndex, event.currentIndex))
+            };
+            applyOperation(operation);
+            this._undoStack.push(operation);
+            this._redoStack = [];
+            if (this._undoStack.length > this.maxSize) {
+                this._undoStack.splice(0, this._undoStack.length - this.maxSize);
+            }
+            this.changes.next({ action: 'apply', operation: operation });
+            return operation;
+        };
+        /**
+         * Reverts the most recent operation. The history is cleared if the arrays have been changed
+         * since the operation was applied in a way that doesn't allow it to be reverted safely.
+         * @returns Operation that was undone, or null if there was nothing to undo.
+         */
+        DragDropHistory.prototype.undo = function () {
+            var operation = this._undoStack.pop();
+            if (!operation) {
+                return null;
+            }
+            if (!canRevertOperation(operation)) {
+                this.clear();
+                return null;
+            }
+            revertOperation(operation);
+            this._redoStack.push(operation);
+            this.changes.next({ action: 'undo', operation: operation });
+            return operation;
+        };
+        /**
+         * Re-applies the most recently undone operation. The history is cleared if the arrays have been
+         * changed since the operation was undone in a way that doesn't allow it to be applied safely.
+         * @returns Operation that was redone, or null if there was nothing to redo.
+         */
+        DragDropHistory.prototype.redo = function () {
+            var operation = this._redoStack.pop();
+            if (!operation) {
+                return null;
+            }
+            if (!canApplyOperation(operation)) {
+                this.clear();
+                return null;
+            }
+            applyOperation(operation);
+            this._undoStack.push(operation);
+            this.changes.next({ action: 'redo', operation: operation });
+            return operation;
+        };
+        /** Whether there are any operations that can be undone. */
+        DragDropHistory.prototype.canUndo = function () {
+            return this._undoStack.length > 0;
+        };
+        /** Whether there are any operations that can be redone. */
+        DragDropHistory.prototype.canRedo = function () {
+            return this._redoStack.length > 0;
+        };
+        /** Removes all of the operations from the history. */
+        DragDropHistory.prototype.clear = function () {
+            this._undoStack = [];
+            this._redoStack = [];
+        };
+        return DragDropHistory;
+    }());
+    DragDropHistory.ɵprov = i0.ɵɵdefineInjectable({ factory: function DragDropHistory_Factory() { return new DragDropHistory(); }, token: DragDropHistory, providedIn: "root" });
+    DragDropHistory.decorators = [
+        { type: i0.Injectable, args: [{ providedIn: 'root' },] }
+    ];
+    /** Applies an operation to its arrays. */
+    function applyOperation(operation) {
+        var type = operation.type, previousArray = operation.previousArray, currentArray = operation.currentArray, previousIndices = operation.previousIndices, currentIndex = operation.currentIndex;
+        if (type === 'move') {
+            moveItemsInArray(currentArray, previousIndices, currentIndex);
+        }
+        else if (type === 'transfer') {
+            transferArrayItems(previousArray, currentArray, previousIndices, currentIndex);
+        }
+        else {
+            copyArrayItems(previousArray, currentArray, previousIndices, currentIndex);
+        }
+    }
+    /**
+     * Whether an operation can be applied to its arrays, i.e. its items are still at their
+     * previous indices and the current index is still within the current array.
+     */
+    function canApplyOperation(operation) {
+        var type = operation.type, items = operation.items, previousArray = operation.previousArray, currentArray = operation.currentArray, previousIndices = operation.previousIndices, currentIndex = operation.currentIndex;
+        var remainingLength = type === 'move' ? currentArray.length - items.length : currentArray.length;
+        return currentIndex <= remainingLength &&
+            previousIndices.every(function (index, i) { return previousArray[index] === items[i]; });
+    }
+    /**
+     * Whether an operation can be reverted, i.e. its items are still next to each other starting
+     * from the current index and their previous indices are still within the previous array.
+     */
+    function canRevertOperation(operation) {
+        var type = operation.type, items = operation.items, previousArray = operation.previousArray, currentArray = operation.currentArray, previousIndices = operation.previousIndices, currentIndex = operation.currentIndex;
+        if (currentIndex + items.length > currentArray.length ||
+            !items.every(function (item, i) { return currentArray[currentIndex + i] === item; })) {
+            return false;
+        }
+        // Copied items don't have to be restored in the previous array.
+        if (type === 'copy') {
+            return true;
+        }
+        // The items are inserted back in ascending order so each one can be placed
+        // at most at the end of the array, including the items restored before it.
+        var remainingLength = type === 'move' ? previousArray.length - items.length : previousArray.length;
+        return previousIndices.every(function (index, i) { return index <= remainingLength + i; });
+    }
+    /** Reverts an operation that was applied to its arrays. */
+    function revertOperation(operation) {
+        var type = operation.type, items = operation.items, previousArray = operation.previousArray, currentArray = operation.currentArray, previousIndices = operation.previousIndices, currentIndex = operation.currentIndex;
+        // All operations place the items next to each other, starting from the current index.
+        currentArray.splice(currentIndex, items.length);
+        // Copying doesn't remove the items from the previous array so there's nothing to restore.
+        // Otherwise put the items back in ascending order so the indices line up with the original.
+        if (type !== 'copy') {
+            previousIndices.forEach(function (index, i) { return previousArray.splice(index, 0, items[i]); });
+        }
+    }
+
     /**
      * @license
      * Copyright Google LLC All Rights Reserved.
@@ -2843,6 +5679,20 @@
      */
     var CDK_DRAG_PARENT = new i0.InjectionToken('CDK_DRAG_PARENT');
 
+    /**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+    /**
+     * Injection token that can be used for a `CdkResizable` to provide itself as a parent to
+     * its `CdkResizeHandle` directives. Used primarily to avoid circular imports.
+     * @docs-private
+     */
+    var CDK_RESIZE_PARENT = new i0.InjectionToken('CDK_RESIZE_PARENT');
+
     /**
      * @license
      * Copyright Google LLC All Rights Reserved.
@@ -2945,19 +5795,23 @@
     var CdkDropList = /** @class */ (function () {
         function CdkDropList(
         /** Element that the drop list is attached to. */
-        element, dragDrop, _changeDetectorRef, _scrollDispatcher, _dir, _group, config) {
+        element, dragDrop, _changeDetectorRef, _scrollDispatcher, _dir, _group, config, 
+        /** @breaking-change 13.0.0 `_history` parameter to become required. */
+        _history) {
             var _this = this;
             this.element = element;
             this._changeDetectorRef = _changeDetectorRef;
             this._scrollDispatcher = _scrollDispatcher;
             this._dir = _dir;
             this._group = _group;
+            this._history = _history;
             /** Emits when the list has been destroyed. */
             this._destroyed = new rxjs.Subject();
             /**
              * Other draggable containers that this container is connected to and into which the
              * container's items can be transferred. Can either be references to other drop containers,
-             * or their unique IDs.
+             * or their unique IDs. The containers don't have to be in the same shadow root or document,
+             * as long as any frames that they're rendered in have the same origin.
              */
             this.connectedTo = [];
             /**
@@ -2972,6 +5826,25 @@
             this.enterPredicate = function () { return true; };
             /** Functions that is used to determine whether an item can be sorted into a particular index. */
             this.sortPredicate = function () { return true; };
+            /**
+             * Rules that determine which kinds of items, based on their `cdkDragKind`, the list accepts
+             * and the effect of dropping them into the list. The first rule that matches is used and items
+             * that don't match any rule are refused. All items are moved into the list if no rules are set.
+             */
+            this.acceptRules = null;
+            /**
+             * Whether to update the `data` arrays of the lists automatically when an item is dropped into
+             * this list, before `cdkDropListDropped` is emitted. Items are moved, transferred or copied
+             * depending on the drop effect, and the operation is recorded in the `DragDropHistory` so it
+             * can be undone. Drops with the `link` effect are left to be handled by the app.
+             */
+            this.autoUpdate = false;
+            /**
+             * Function that is used to determine whether native data is allowed to be dropped into the
+             * container. Note that browsers only expose the data itself once it has been dropped, but
+             * `event.dataTransfer.types` can be used to check what kind of data is being dragged.
+             */
+            this.nativeEnterPredicate = function () { return true; };
             /** Emits when the user drops an item inside the container. */
             this.dropped = new i0.EventEmitter();
             /**
@@ -2985,6 +5858,18 @@
             this.exited = new i0.EventEmitter();
             /** Emits as the user is swapping items while actively dragging. */
             this.sorted = new i0.EventEmitter();
+            /** Emits when the items that are selected in the list have changed. */
+            this.selectionChange = new i0.EventEmitter();
+            /** Emits when native data is dragged into the container. */
+            this.nativeEntered = new i0.EventEmitter();
+            /** Emits when native data is dragged out of the container without being dropped. */
+            this.nativeExited = new i0.EventEmitter();
+            /** Emits when the index at which native data would be inserted changes. */
+            this.nativeSorted = new i0.EventEmitter();
+            /** Emits when native data, like files or text, is dropped into the container. */
+            this.nativeDropped = new i0.EventEmitter();
+            /** Emits when an item is done animating to its new position while sorting. */
+            this.animationDone = new i0.EventEmitter();
             /**
              * Keeps track of the items that are registered with this container. Historically we used to
              * do this with a `ContentChildren` query, however queries don't handle transplanted views very
@@ -3008,6 +5893,10 @@
                 function (index, drag, drop) {
                     return _this.sortPredicate(index, drag.data, drop.data);
                 };
+            this._dropListRef.nativeEnterPredicate =
+                function (event, drop) {
+                    return _this.nativeEnterPredicate(event, drop.data);
+                };
             this._setupInputSyncSubscription(this._dropListRef);
             this._handleEvents(this._dropListRef);
             CdkDropList._dropLists.push(this);
@@ -3030,6 +5919,34 @@
             enumerable: false,
             configurable: true
         });
+        Object.defineProperty(CdkDropList.prototype, "multiSelect", {
+            /**
+             * Whether the user can select multiple items in the list, by clicking on them while holding
+             * down the ctrl, meta or shift keys, and drag them together.
+             */
+            get: function () { return this._dropListRef.multiSelect; },
+            set: function (value) {
+                // The selection can change before the user has started dragging
+                // so we need to sync the value with the ref as it's being set.
+                this._dropListRef.multiSelect = coercion.coerceBooleanProperty(value);
+            },
+            enumerable: false,
+            configurable: true
+        });
+        Object.defineProperty(CdkDropList.prototype, "nativeDropsEnabled", {
+            /**
+             * Whether the list accepts native drops, like files from the operating system
+             * or data that is being dragged from a different page.
+             */
+            get: function () { return this._dropListRef.nativeDropsEnabled; },
+            set: function (value) {
+                // Native drag sequences don't go through `beforeStarted`
+                // so the value has to be synced as it's being set.
+                this._dropListRef.nativeDropsEnabled = coercion.coerceBooleanProperty(value);
+            },
+            enumerable: false,
+            configurable: true
+        });
         /** Registers an items with the drop list. */
         CdkDropList.prototype.addItem = function (item) {
             this._unsortedItems.add(item);
@@ -3040,6 +5957,7 @@
         /** Removes an item from the drop list. */
         CdkDropList.prototype.removeItem = function (item) {
             this._unsortedItems.delete(item);
+            this._dropListRef.deselectItem(item._dragRef);
             if (this._dropListRef.isDragging()) {
                 this._syncItemsWithRef();
             }
@@ -3054,6 +5972,23 @@
                 return documentPosition & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
             });
         };
+        /** Gets the items that are currently selected, in the order in which they appear in the list. */
+        CdkDropList.prototype.getSelectedItems = function () {
+            this._syncItemsWithRef();
+            return this._dropListRef.getSelectedItems().map(function (item) { return item.data; });
+        };
+        /** Adds an item to the selection of the list. */
+        CdkDropList.prototype.selectItem = function (item) {
+            this._dropListRef.selectItem(item._dragRef);
+        };
+        /** Removes an item from the selection of the list. */
+        CdkDropList.prototype.deselectItem = function (item) {
+            this._dropListRef.deselectItem(item._dragRef);
+        };
+        /** Deselects all of the items in the list. */
+        CdkDropList.prototype.clearSelection = function () {
+            this._dropListRef.clearSelection();
+        };
         CdkDropList.prototype.ngOnDestroy = function () {
             var index = CdkDropList._dropLists.indexOf(this);
             if (index > -1) {
@@ -3109,6 +6044,8 @@
                 ref.sortingDisabled = coercion.coerceBooleanProperty(_this.sortingDisabled);
                 ref.autoScrollDisabled = coercion.coerceBooleanProperty(_this.autoScrollDisabled);
                 ref.autoScrollStep = coercion.coerceNumberProperty(_this.autoScrollStep, 2);
+                ref.animationFn = _this.animationFn || null;
+                ref.acceptRules = _this.acceptRules;
                 ref
                     .connectedTo(siblings.filter(function (drop) { return drop && drop !== _this; }).map(function (list) { return list._dropListRef; }))
                     .withOrientation(_this.orientation);
@@ -3143,16 +6080,70 @@
                     item: event.item.data
                 });
             });
+            ref.animationDone.subscribe(function (event) {
+                _this.animationDone.emit({
+                    container: _this,
+                    item: event.item ? event.item.data : null,
+                    type: event.type,
+                    element: event.element
+                });
+            });
+            ref.beforeSelectionChanged.subscribe(function () { return _this._syncItemsWithRef(); });
+            ref.selectionChanged.subscribe(function (event) {
+                _this.selectionChange.emit({
+                    container: _this,
+                    items: event.items.map(function (item) { return item.data; })
+                });
+                _this._changeDetectorRef.markForCheck();
+            });
+            ref.nativeEntered.subscribe(function (event) {
+                _this.nativeEntered.emit({
+                    container: _this,
+                    currentIndex: event.currentIndex,
+                    event: event.event
+                });
+                _this._changeDetectorRef.markForCheck();
+            });
+            ref.nativeExited.subscribe(function (event) {
+                _this.nativeExited.emit({ container: _this, event: event.event });
+                _this._changeDetectorRef.markForCheck();
+            });
+            ref.nativeSorted.subscribe(function (event) {
+                _this.nativeSorted.emit({
+                    container: _this,
+                    previousIndex: event.previousIndex,
+                    currentIndex: event.currentIndex,
+                    event: event.event
+                });
+            });
+            ref.nativeDropped.subscribe(function (event) {
+                _this.nativeDropped.emit({
+                    container: _this,
+                    currentIndex: event.currentIndex,
+                    dataTransfer: event.dataTransfer,
+                    files: Array.from(event.dataTransfer.files || []),
+                    event: event.event
+                });
+                _this._changeDetectorRef.markForCheck();
+            });
             ref.dropped.subscribe(function (event) {
-                _this.dropped.emit({
+                var dropEvent = {
                     previousIndex: event.previousIndex,
                     currentIndex: event.currentIndex,
+                    previousIndices: event.previousIndices,
                     previousContainer: event.previousContainer.data,
                     container: event.container.data,
                     item: event.item.data,
+                    items: event.items.map(function (item) { return item.data; }),
                     isPointerOverContainer: event.isPointerOverContainer,
-                    distance: event.distance
-                });
+                    distance: event.distance,
+                    dropEffect: event.dropEffect
+                };
+                if (coercion.coerceBooleanProperty(_this.autoUpdate) && _this._history &&
+                    event.dropEffect !== 'link') {
+                    _this._history.apply(dropEvent);
+                }
+                _this.dropped.emit(dropEvent);
                 // Mark for check since all of these events run outside of change
                 // detection and we're not guaranteed for something else to have triggered it.
                 _this._changeDetectorRef.markForCheck();
@@ -3160,7 +6151,7 @@
         };
         /** Assigns the default input values based on a provided config object. */
         CdkDropList.prototype._assignDefaults = function (config) {
-            var lockAxis = config.lockAxis, draggingDisabled = config.draggingDisabled, sortingDisabled = config.sortingDisabled, listAutoScrollDisabled = config.listAutoScrollDisabled, listOrientation = config.listOrientation;
+            var lockAxis = config.lockAxis, draggingDisabled = config.draggingDisabled, sortingDisabled = config.sortingDisabled, listAutoScrollDisabled = config.listAutoScrollDisabled, listOrientation = config.listOrientation, animationFn = config.animationFn;
             this.disabled = draggingDisabled == null ? false : draggingDisabled;
             this.sortingDisabled = sortingDisabled == null ? false : sortingDisabled;
             this.autoScrollDisabled = listAutoScrollDisabled == null ? false : listAutoScrollDisabled;
@@ -3168,6 +6159,9 @@
             if (lockAxis) {
                 this.lockAxis = lockAxis;
             }
+            if (animationFn) {
+                this.animationFn = animationFn;
+            }
         };
         /** Syncs up the registered drag items with underlying drop list ref. */
         CdkDropList.prototype._syncItemsWithRef = function () {
@@ -3192,6 +6186,7 @@
                         '[class.cdk-drop-list-disabled]': 'disabled',
                         '[class.cdk-drop-list-dragging]': '_dropListRef.isDragging()',
                         '[class.cdk-drop-list-receiving]': '_dropListRef.isReceiving()',
+                        '[class.cdk-drop-list-refusing]': '_dropListRef.isRefusing()',
                     }
                 },] }
     ];
@@ -3202,7 +6197,8 @@
         { type: i2.ScrollDispatcher },
         { type: bidi.Directionality, decorators: [{ type: i0.Optional }] },
         { type: CdkDropListGroup, decorators: [{ type: i0.Optional }, { type: i0.Inject, args: [CDK_DROP_LIST_GROUP,] }, { type: i0.SkipSelf }] },
-        { type: undefined, decorators: [{ type: i0.Optional }, { type: i0.Inject, args: [CDK_DRAG_CONFIG,] }] }
+        { type: undefined, decorators: [{ type: i0.Optional }, { type: i0.Inject, args: [CDK_DRAG_CONFIG,] }] },
+        { type: DragDropHistory, decorators: [{ type: i0.Optional }] }
     ]; };
     CdkDropList.propDecorators = {
         connectedTo: [{ type: i0.Input, args: ['cdkDropListConnectedTo',] }],
@@ -3214,12 +6210,24 @@
         sortingDisabled: [{ type: i0.Input, args: ['cdkDropListSortingDisabled',] }],
         enterPredicate: [{ type: i0.Input, args: ['cdkDropListEnterPredicate',] }],
         sortPredicate: [{ type: i0.Input, args: ['cdkDropListSortPredicate',] }],
+        acceptRules: [{ type: i0.Input, args: ['cdkDropListAccepts',] }],
+        autoUpdate: [{ type: i0.Input, args: ['cdkDropListAutoUpdate',] }],
         autoScrollDisabled: [{ type: i0.Input, args: ['cdkDropListAutoScrollDisabled',] }],
         autoScrollStep: [{ type: i0.Input, args: ['cdkDropListAutoScrollStep',] }],
+        multiSelect: [{ type: i0.Input, args: ['cdkDropListMultiSelect',] }],
+        nativeDropsEnabled: [{ type: i0.Input, args: ['cdkDropListNativeDropsEnabled',] }],
+        nativeEnterPredicate: [{ type: i0.Input, args: ['cdkDropListNativeEnterPredicate',] }],
+        animationFn: [{ type: i0.Input, args: ['cdkDropListAnimation',] }],
         dropped: [{ type: i0.Output, args: ['cdkDropListDropped',] }],
         entered: [{ type: i0.Output, args: ['cdkDropListEntered',] }],
         exited: [{ type: i0.Output, args: ['cdkDropListExited',] }],
-        sorted: [{ type: i0.Output, args: ['cdkDropListSorted',] }]
+        sorted: [{ type: i0.Output, args: ['cdkDropListSorted',] }],
+        selectionChange: [{ type: i0.Output, args: ['cdkDropListSelectionChange',] }],
+        nativeEntered: [{ type: i0.Output, args: ['cdkDropListNativeEntered',] }],
+        nativeExited: [{ type: i0.Output, args: ['cdkDropListNativeExited',] }],
+        nativeSorted: [{ type: i0.Output, args: ['cdkDropListNativeSorted',] }],
+        nativeDropped: [{ type: i0.Output, args: ['cdkDropListNativeDropped',] }],
+        animationDone: [{ type: i0.Output, args: ['cdkDropListAnimationDone',] }]
     };
 
     /**
@@ -3323,42 +6331,188 @@
      * found in the LICENSE file at https://angular.io/license
      */
     /**
-     * Injection token that can be used to reference instances of `CdkDragPreview`. It serves as
-     * alternative token to the actual `CdkDragPreview` class which could cause unnecessary
-     * retention of the class and its directive metadata.
-     */
-    var CDK_DRAG_PREVIEW = new i0.InjectionToken('CdkDragPreview');
-    /**
-     * Element that will be used as a template for the preview
-     * of a CdkDrag when it is being dragged.
+     * Injection token that can be used to reference instances of `CdkDragPreview`. It serves as
+     * alternative token to the actual `CdkDragPreview` class which could cause unnecessary
+     * retention of the class and its directive metadata.
+     */
+    var CDK_DRAG_PREVIEW = new i0.InjectionToken('CdkDragPreview');
+    /**
+     * Element that will be used as a template for the preview
+     * of a CdkDrag when it is being dragged.
+     */
+    var CdkDragPreview = /** @class */ (function () {
+        function CdkDragPreview(templateRef) {
+            this.templateRef = templateRef;
+            this._matchSize = false;
+        }
+        Object.defineProperty(CdkDragPreview.prototype, "matchSize", {
+            /** Whether the preview should preserve the same size as the item that is being dragged. */
+            get: function () { return this._matchSize; },
+            set: function (value) { this._matchSize = coercion.coerceBooleanProperty(value); },
+            enumerable: false,
+            configurable: true
+        });
+        return CdkDragPreview;
+    }());
+    CdkDragPreview.decorators = [
+        { type: i0.Directive, args: [{
+                    selector: 'ng-template[cdkDragPreview]',
+                    providers: [{ provide: CDK_DRAG_PREVIEW, useExisting: CdkDragPreview }],
+                },] }
+    ];
+    CdkDragPreview.ctorParameters = function () { return [
+        { type: i0.TemplateRef }
+    ]; };
+    CdkDragPreview.propDecorators = {
+        data: [{ type: i0.Input }],
+        matchSize: [{ type: i0.Input }]
+    };
+
+    /**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+    /**
+     * Injection token that can be used to reference instances of `CdkDragCanvas`. It serves as
+     * alternative token to the actual `CdkDragCanvas` class which could cause unnecessary
+     * retention of the class and its directive metadata.
+     */
+    var CDK_DRAG_CANVAS = new i0.InjectionToken('CdkDragCanvas');
+    var ɵ0$1 = undefined;
+    /**
+     * Container inside of which `cdkDrag` items can be positioned freely. Items are kept inside the
+     * canvas, can be snapped to a grid and are aligned with their siblings while they're being
+     * dragged. The canvas element should be positioned (e.g. `position: relative`) so that the
+     * alignment guides can be rendered inside it.
+     */
+    var CdkDragCanvas = /** @class */ (function () {
+        function CdkDragCanvas(
+        /** Element that the canvas is attached to. */
+        element, dragDrop, _changeDetectorRef) {
+            var _this = this;
+            this.element = element;
+            this._changeDetectorRef = _changeDetectorRef;
+            /** Size of the grid, in pixels, to which the items are snapped. Zero disables snapping. */
+            this.gridSize = 0;
+            /**
+             * Distance, in pixels, at which an item is aligned with one of its siblings and an
+             * alignment guide is shown. Zero disables the alignment guides.
+             */
+            this.guideThreshold = 5;
+            /** Whether the items are prevented from overlapping each other. */
+            this.preventOverlap = false;
+            /** Emits when the user drops an item inside the canvas. */
+            this.dropped = new i0.EventEmitter();
+            if (typeof ngDevMode === 'undefined' || ngDevMode) {
+                assertElementNode(element.nativeElement, 'cdkDragCanvas');
+            }
+            this._canvasRef = dragDrop.createDragCanvas(element);
+            this._canvasRef.data = this;
+            this._canvasRef.beforeStarted.subscribe(function () {
+                _this._canvasRef.gridSize = coercion.coerceNumberProperty(_this.gridSize);
+                _this._canvasRef.guideThreshold = coercion.coerceNumberProperty(_this.guideThreshold);
+                _this._canvasRef.preventOverlap = coercion.coerceBooleanProperty(_this.preventOverlap);
+            });
+            this._canvasRef.dropped.subscribe(function (event) {
+                _this.dropped.emit({
+                    container: _this,
+                    item: event.item.data,
+                    position: event.position,
+                    previousPosition: event.previousPosition
+                });
+                // Mark for check since all of these events run outside of change
+                // detection and we're not guaranteed for something else to have triggered it.
+                _this._changeDetectorRef.markForCheck();
+            });
+        }
+        /** Registers an item with the canvas. */
+        CdkDragCanvas.prototype.addItem = function (item) {
+            this._canvasRef.addItem(item._dragRef);
+        };
+        /** Removes an item from the canvas. */
+        CdkDragCanvas.prototype.removeItem = function (item) {
+            this._canvasRef.removeItem(item._dragRef);
+        };
+        /** Gets the position of an item, relative to the canvas. */
+        CdkDragCanvas.prototype.getItemPosition = function (item) {
+            return this._canvasRef.getItemPosition(item._dragRef);
+        };
+        /** Moves an item to a specific position, relative to the canvas. */
+        CdkDragCanvas.prototype.setItemPosition = function (item, position) {
+            this._canvasRef.setItemPosition(item._dragRef, position);
+        };
+        CdkDragCanvas.prototype.ngOnDestroy = function () {
+            this._canvasRef.dispose();
+        };
+        return CdkDragCanvas;
+    }());
+    CdkDragCanvas.decorators = [
+        { type: i0.Directive, args: [{
+                    selector: '[cdkDragCanvas]',
+                    exportAs: 'cdkDragCanvas',
+                    providers: [
+                        // Prevent the items from being picked up by a drop list that the canvas is inside of.
+                        { provide: CDK_DROP_LIST, useValue: ɵ0$1 },
+                        { provide: CDK_DRAG_CANVAS, useExisting: CdkDragCanvas },
+                    ],
+                    host: {
+                        'class': 'cdk-drag-canvas',
+                        '[class.cdk-drag-canvas-dragging]': '_canvasRef.isDragging()',
+                    }
+                },] }
+    ];
+    CdkDragCanvas.ctorParameters = function () { return [
+        { type: i0.ElementRef },
+        { type: DragDrop },
+        { type: i0.ChangeDetectorRef }
+    ]; };
+    CdkDragCanvas.propDecorators = {
+        data: [{ type: i0.Input, args: ['cdkDragCanvasData',] }],
+        gridSize: [{ type: i0.Input, args: ['cdkDragCanvasGridSize',] }],
+        guideThreshold: [{ type: i0.Input, args: ['cdkDragCanvasGuideThreshold',] }],
+        preventOverlap: [{ type: i0.Input, args: ['cdkDragCanvasPreventOverlap',] }],
+        dropped: [{ type: i0.Output, args: ['cdkDragCanvasDropped',] }]
+    };
+
+    /**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+    /**
+     * Messages that are announced to assistive technology when the user performs an action while
+     * dragging an item using the keyboard. A different implementation can be provided in order to
+     * translate the messages. Note that the `cdkDragKeyboardMessage` input takes precedence.
      */
-    var CdkDragPreview = /** @class */ (function () {
-        function CdkDragPreview(templateRef) {
-            this.templateRef = templateRef;
-            this._matchSize = false;
+    var CdkDragKeyboardIntl = /** @class */ (function () {
+        function CdkDragKeyboardIntl() {
         }
-        Object.defineProperty(CdkDragPreview.prototype, "matchSize", {
-            /** Whether the preview should preserve the same size as the item that is being dragged. */
-            get: function () { return this._matchSize; },
-            set: function (value) { this._matchSize = coercion.coerceBooleanProperty(value); },
-            enumerable: false,
-            configurable: true
-        });
-        return CdkDragPreview;
+        /** Gets the message that should be announced for an action performed using the keyboard. */
+        CdkDragKeyboardIntl.prototype.getMessage = function (event) {
+            var position = event.currentIndex + 1;
+            switch (event.action) {
+                case 'started':
+                    return "Picked up item at position " + position + ". Use the arrow keys to move it, " +
+                        "space or enter to drop it and escape to cancel.";
+                case 'moved':
+                    return "Moved to position " + position + ".";
+                case 'dropped':
+                    return "Dropped item at position " + position + ".";
+                case 'cancelled':
+                    return "Dragging cancelled. Item returned to position " + position + ".";
+            }
+        };
+        return CdkDragKeyboardIntl;
     }());
-    CdkDragPreview.decorators = [
-        { type: i0.Directive, args: [{
-                    selector: 'ng-template[cdkDragPreview]',
-                    providers: [{ provide: CDK_DRAG_PREVIEW, useExisting: CdkDragPreview }],
-                },] }
+    CdkDragKeyboardIntl.ɵprov = i0.ɵɵdefineInjectable({ factory: function CdkDragKeyboardIntl_Factory() { return new CdkDragKeyboardIntl(); }, token: CdkDragKeyboardIntl, providedIn: "root" });
+    CdkDragKeyboardIntl.decorators = [
+        { type: i0.Injectable, args: [{ providedIn: 'root' },] }
     ];
-    CdkDragPreview.ctorParameters = function () { return [
-        { type: i0.TemplateRef }
-    ]; };
-    CdkDragPreview.propDecorators = {
-        data: [{ type: i0.Input }],
-        matchSize: [{ type: i0.Input }]
-    };
 
     var DRAG_HOST_CLASS = 'cdk-drag';
     /** Element that can be moved inside a CdkDropList container. */
@@ -3372,7 +6526,15 @@
          * @deprecated `_document` parameter no longer being used and will be removed.
          * @breaking-change 12.0.0
          */
-        _document, _ngZone, _viewContainerRef, config, _dir, dragDrop, _changeDetectorRef, _selfHandle, _parentDrag) {
+        _document, _ngZone, _viewContainerRef, config, _dir, dragDrop, _changeDetectorRef, _selfHandle, _parentDrag, 
+        /** @breaking-change 13.0.0 `_liveAnnouncer` parameter to become required. */
+        _liveAnnouncer, 
+        /** @breaking-change 13.0.0 `_canvas` parameter to become required. */
+        _canvas, 
+        /** @breaking-change 13.0.0 `_scrollDispatcher` parameter to become required. */
+        _scrollDispatcher, 
+        /** @breaking-change 13.0.0 `_keyboardIntl` parameter to become required. */
+        _keyboardIntl) {
             var _this = this;
             this.element = element;
             this.dropContainer = dropContainer;
@@ -3382,7 +6544,19 @@
             this._changeDetectorRef = _changeDetectorRef;
             this._selfHandle = _selfHandle;
             this._parentDrag = _parentDrag;
+            this._liveAnnouncer = _liveAnnouncer;
+            this._canvas = _canvas;
+            this._scrollDispatcher = _scrollDispatcher;
+            this._keyboardIntl = _keyboardIntl;
             this._destroyed = new rxjs.Subject();
+            /**
+             * Whether to auto-scroll the viewport and any `cdkScrollable` ancestors when the user moves
+             * their pointer close to their edges, while the item is being dragged outside of a drop list.
+             * Auto-scrolling is opt-in, so this has to be set to `false` in order to enable it.
+             */
+            this.autoScrollDisabled = true;
+            this._keyboardDraggingEnabled = false;
+            this._nativeData = null;
             /** Emits when the user starts dragging the item. */
             this.started = new i0.EventEmitter();
             /** Emits when the user has released a drag item, before any animations have started. */
@@ -3395,6 +6569,19 @@
             this.exited = new i0.EventEmitter();
             /** Emits when the user drops the item inside a container. */
             this.dropped = new i0.EventEmitter();
+            /** Emits when the user starts dragging the item out as native data. */
+            this.nativeStarted = new i0.EventEmitter();
+            /** Emits when a native drag sequence of the item has ended. */
+            this.nativeEnded = new i0.EventEmitter();
+            /**
+             * Emits when the effect of dropping the item at its current position changes, e.g. because
+             * the user moved it over a list that copies the item or that refuses it altogether.
+             */
+            this.dropEffectChanged = new i0.EventEmitter();
+            /** Emits when an animation of the item's preview or placeholder is done. */
+            this.animationDone = new i0.EventEmitter();
+            /** Emits when the user performs an action while dragging the item using the keyboard. */
+            this.keyboardAction = new i0.EventEmitter();
             /**
              * Emits as the user is dragging the item. Use with caution,
              * because this event will fire for every pixel that the user has dragged.
@@ -3405,12 +6592,14 @@
                     pointerPosition: movedEvent.pointerPosition,
                     event: movedEvent.event,
                     delta: movedEvent.delta,
-                    distance: movedEvent.distance
+                    distance: movedEvent.distance,
+                    level: movedEvent.level
                 }); })).subscribe(observer);
                 return function () {
                     subscription.unsubscribe();
                 };
             });
+            this._initialTabIndex = element.nativeElement.getAttribute('tabindex');
             this._dragRef = dragDrop.createDrag(element, {
                 dragStartThreshold: config && config.dragStartThreshold != null ?
                     config.dragStartThreshold : 5,
@@ -3437,6 +6626,10 @@
                 this._dragRef._withDropContainer(dropContainer._dropListRef);
                 dropContainer.addItem(this);
             }
+            else if (_canvas) {
+                // Items inside of a drop list are sorted by the list so they can't be positioned freely.
+                _canvas.addItem(this);
+            }
             this._syncInputs(this._dragRef);
             this._handleEvents(this._dragRef);
         }
@@ -3452,6 +6645,36 @@
             enumerable: false,
             configurable: true
         });
+        Object.defineProperty(CdkDrag.prototype, "keyboardDraggingEnabled", {
+            /**
+             * Whether the item can be dragged using the keyboard. Once enabled, items inside a drop list
+             * can be picked up by pressing space or enter while they, or one of their handles, have focus.
+             * Note that the item is only made focusable automatically if it doesn't have handles.
+             */
+            get: function () { return this._keyboardDraggingEnabled; },
+            set: function (value) {
+                this._keyboardDraggingEnabled = coercion.coerceBooleanProperty(value);
+                this._dragRef.keyboardDraggingEnabled = this._keyboardDraggingEnabled;
+            },
+            enumerable: false,
+            configurable: true
+        });
+        Object.defineProperty(CdkDrag.prototype, "nativeData", {
+            /**
+             * Data that is exposed to native drop targets, keyed by its format (e.g. `text/plain`). When
+             * set, the item can be dragged out of the page, into other applications or into drop lists that
+             * accept native drops. Note that the browser's own drag&drop is used for such items, rather
+             * than the CDK's, which means that handles and the custom preview and placeholder are ignored.
+             */
+            get: function () { return this._nativeData; },
+            set: function (value) {
+                // The `draggable` attribute has to be set before the user starts dragging.
+                this._nativeData = value || null;
+                this._dragRef.withNativeDragData(this._nativeData);
+            },
+            enumerable: false,
+            configurable: true
+        });
         /**
          * Returns the element that is being used as a placeholder
          * while the current element is being dragged.
@@ -3531,6 +6754,9 @@
             if (this.dropContainer) {
                 this.dropContainer.removeItem(this);
             }
+            if (this._canvas && !this.dropContainer) {
+                this._canvas.removeItem(this);
+            }
             var index = CdkDrag._dragInstances.indexOf(this);
             if (index > -1) {
                 CdkDrag._dragInstances.splice(index, 1);
@@ -3589,6 +6815,22 @@
                         dragStartDelay : coercion.coerceNumberProperty(dragStartDelay);
                     ref.constrainPosition = _this.constrainPosition;
                     ref.previewClass = _this.previewClass;
+                    ref.autoScrollDisabled = coercion.coerceBooleanProperty(_this.autoScrollDisabled);
+                    ref.autoScrollThreshold = coercion.coerceNumberProperty(_this.autoScrollThreshold, 50);
+                    if (_this.autoScrollSpeed) {
+                        ref.autoScrollSpeed = _this.autoScrollSpeed;
+                    }
+                    ref.animationFn = _this.animationFn || null;
+                    ref.kinds = _this.kind ? coercion.coerceArray(_this.kind) : [];
+                    // Note that we resolve the scrollable parents here so that we delay the resolution
+                    // as long as possible, ensuring that the element is in its final place in the DOM.
+                    if (!_this._scrollableParentsResolved && _this._scrollDispatcher) {
+                        ref.withScrollableParents(_this._scrollDispatcher
+                            .getAncestorScrollContainers(_this.element)
+                            .map(function (scrollable) { return scrollable.getElementRef().nativeElement; }));
+                        // Only do this once since it involves traversing the DOM.
+                        _this._scrollableParentsResolved = true;
+                    }
                     ref
                         .withBoundaryElement(_this._getBoundaryElement())
                         .withPlaceholderTemplate(placeholder)
@@ -3622,6 +6864,25 @@
                 }
             });
         };
+        /**
+         * Gets the tab index of the host element. Items inside a drop list are made focusable if they
+         * can be dragged using the keyboard, unless they have handles or a custom tab index.
+         * @docs-private
+         */
+        CdkDrag.prototype._getTabIndex = function () {
+            if (this._initialTabIndex != null || !this.keyboardDraggingEnabled || !this.dropContainer ||
+                this.disabled || (this._handles && this._handles.length)) {
+                return this._initialTabIndex;
+            }
+            return '0';
+        };
+        /** Gets the message that should be announced for an action performed using the keyboard. */
+        CdkDrag.prototype._getKeyboardMessage = function (event) {
+            if (this.keyboardMessage) {
+                return this.keyboardMessage(event);
+            }
+            return this._keyboardIntl ? this._keyboardIntl.getMessage(event) : '';
+        };
         /** Handles the events from the underlying `DragRef`. */
         CdkDrag.prototype._handleEvents = function (ref) {
             var _this = this;
@@ -3657,17 +6918,53 @@
                 _this.dropped.emit({
                     previousIndex: event.previousIndex,
                     currentIndex: event.currentIndex,
+                    previousIndices: event.previousIndices,
                     previousContainer: event.previousContainer.data,
                     container: event.container.data,
                     isPointerOverContainer: event.isPointerOverContainer,
                     item: _this,
-                    distance: event.distance
+                    items: event.items.map(function (item) { return item.data; }),
+                    distance: event.distance,
+                    dropEffect: event.dropEffect
+                });
+            });
+            ref.dropEffectChanged.subscribe(function (event) {
+                // The effect can change while the pointer is moving, which happens outside the NgZone.
+                _this._ngZone.run(function () {
+                    _this.dropEffectChanged.emit({
+                        source: _this,
+                        container: event.container.data,
+                        effect: event.effect
+                    });
                 });
             });
+            ref.nativeDragStarted.subscribe(function (event) {
+                _this.nativeStarted.emit({ source: _this, event: event.event });
+            });
+            ref.nativeDragEnded.subscribe(function (event) {
+                _this.nativeEnded.emit({ source: _this, dropEffect: event.dropEffect, event: event.event });
+                _this._changeDetectorRef.markForCheck();
+            });
+            ref.animationDone.subscribe(function (event) {
+                _this.animationDone.emit({ source: _this, type: event.type, element: event.element });
+            });
+            ref.keyboardAction.subscribe(function (event) {
+                var keyboardEvent = {
+                    source: _this,
+                    action: event.action,
+                    container: event.container.data,
+                    currentIndex: event.currentIndex
+                };
+                _this.keyboardAction.emit(keyboardEvent);
+                if (_this._liveAnnouncer) {
+                    _this._liveAnnouncer.announce(_this._getKeyboardMessage(keyboardEvent));
+                }
+                _this._changeDetectorRef.markForCheck();
+            });
         };
         /** Assigns the default input values based on a provided config object. */
         CdkDrag.prototype._assignDefaults = function (config) {
-            var lockAxis = config.lockAxis, dragStartDelay = config.dragStartDelay, constrainPosition = config.constrainPosition, previewClass = config.previewClass, boundaryElement = config.boundaryElement, draggingDisabled = config.draggingDisabled, rootElementSelector = config.rootElementSelector, previewContainer = config.previewContainer;
+            var lockAxis = config.lockAxis, dragStartDelay = config.dragStartDelay, constrainPosition = config.constrainPosition, previewClass = config.previewClass, boundaryElement = config.boundaryElement, draggingDisabled = config.draggingDisabled, rootElementSelector = config.rootElementSelector, previewContainer = config.previewContainer, keyboardDraggingEnabled = config.keyboardDraggingEnabled, keyboardMessage = config.keyboardMessage, dragAutoScrollDisabled = config.dragAutoScrollDisabled, dragAutoScrollThreshold = config.dragAutoScrollThreshold, dragAutoScrollSpeed = config.dragAutoScrollSpeed, animationFn = config.animationFn;
             this.disabled = draggingDisabled == null ? false : draggingDisabled;
             this.dragStartDelay = dragStartDelay || 0;
             if (lockAxis) {
@@ -3688,6 +6985,24 @@
             if (previewContainer) {
                 this.previewContainer = previewContainer;
             }
+            if (keyboardDraggingEnabled != null) {
+                this.keyboardDraggingEnabled = keyboardDraggingEnabled;
+            }
+            if (keyboardMessage) {
+                this.keyboardMessage = keyboardMessage;
+            }
+            if (dragAutoScrollDisabled != null) {
+                this.autoScrollDisabled = dragAutoScrollDisabled;
+            }
+            if (dragAutoScrollThreshold != null) {
+                this.autoScrollThreshold = dragAutoScrollThreshold;
+            }
+            if (dragAutoScrollSpeed) {
+                this.autoScrollSpeed = dragAutoScrollSpeed;
+            }
+            if (animationFn) {
+                this.animationFn = animationFn;
+            }
         };
         return CdkDrag;
     }());
@@ -3700,6 +7015,9 @@
                         'class': DRAG_HOST_CLASS,
                         '[class.cdk-drag-disabled]': 'disabled',
                         '[class.cdk-drag-dragging]': '_dragRef.isDragging()',
+                        '[class.cdk-drag-selected]': '_dragRef.isSelected()',
+                        '[class.cdk-drag-keyboard-dragging]': '_dragRef.isKeyboardDragging()',
+                        '[attr.tabindex]': '_getTabIndex()',
                     },
                     providers: [{ provide: CDK_DRAG_PARENT, useExisting: CdkDrag }]
                 },] }
@@ -3715,42 +7033,368 @@
         { type: DragDrop },
         { type: i0.ChangeDetectorRef },
         { type: CdkDragHandle, decorators: [{ type: i0.Optional }, { type: i0.Self }, { type: i0.Inject, args: [CDK_DRAG_HANDLE,] }] },
-        { type: CdkDrag, decorators: [{ type: i0.Optional }, { type: i0.SkipSelf }, { type: i0.Inject, args: [CDK_DRAG_PARENT,] }] }
+        { type: CdkDrag, decorators: [{ type: i0.Optional }, { type: i0.SkipSelf }, { type: i0.Inject, args: [CDK_DRAG_PARENT,] }] },
+        { type: a11y.LiveAnnouncer, decorators: [{ type: i0.Optional }] },
+        { type: CdkDragCanvas, decorators: [{ type: i0.Optional }, { type: i0.SkipSelf }, { type: i0.Inject, args: [CDK_DRAG_CANVAS,] }] },
+        { type: i2.ScrollDispatcher, decorators: [{ type: i0.Optional }] },
+        { type: CdkDragKeyboardIntl, decorators: [{ type: i0.Optional }] }
     ]; };
     CdkDrag.propDecorators = {
         _handles: [{ type: i0.ContentChildren, args: [CDK_DRAG_HANDLE, { descendants: true },] }],
         _previewTemplate: [{ type: i0.ContentChild, args: [CDK_DRAG_PREVIEW,] }],
         _placeholderTemplate: [{ type: i0.ContentChild, args: [CDK_DRAG_PLACEHOLDER,] }],
         data: [{ type: i0.Input, args: ['cdkDragData',] }],
+        kind: [{ type: i0.Input, args: ['cdkDragKind',] }],
         lockAxis: [{ type: i0.Input, args: ['cdkDragLockAxis',] }],
         rootElementSelector: [{ type: i0.Input, args: ['cdkDragRootElement',] }],
         boundaryElement: [{ type: i0.Input, args: ['cdkDragBoundary',] }],
         dragStartDelay: [{ type: i0.Input, args: ['cdkDragStartDelay',] }],
+        autoScrollDisabled: [{ type: i0.Input, args: ['cdkDragAutoScrollDisabled',] }],
+        autoScrollThreshold: [{ type: i0.Input, args: ['cdkDragAutoScrollThreshold',] }],
+        autoScrollSpeed: [{ type: i0.Input, args: ['cdkDragAutoScrollSpeed',] }],
+        animationFn: [{ type: i0.Input, args: ['cdkDragAnimation',] }],
         freeDragPosition: [{ type: i0.Input, args: ['cdkDragFreeDragPosition',] }],
         disabled: [{ type: i0.Input, args: ['cdkDragDisabled',] }],
         constrainPosition: [{ type: i0.Input, args: ['cdkDragConstrainPosition',] }],
         previewClass: [{ type: i0.Input, args: ['cdkDragPreviewClass',] }],
         previewContainer: [{ type: i0.Input, args: ['cdkDragPreviewContainer',] }],
+        keyboardDraggingEnabled: [{ type: i0.Input, args: ['cdkDragKeyboardDraggingEnabled',] }],
+        keyboardMessage: [{ type: i0.Input, args: ['cdkDragKeyboardMessage',] }],
+        nativeData: [{ type: i0.Input, args: ['cdkDragNativeData',] }],
         started: [{ type: i0.Output, args: ['cdkDragStarted',] }],
         released: [{ type: i0.Output, args: ['cdkDragReleased',] }],
         ended: [{ type: i0.Output, args: ['cdkDragEnded',] }],
         entered: [{ type: i0.Output, args: ['cdkDragEntered',] }],
         exited: [{ type: i0.Output, args: ['cdkDragExited',] }],
         dropped: [{ type: i0.Output, args: ['cdkDragDropped',] }],
+        nativeStarted: [{ type: i0.Output, args: ['cdkDragNativeStarted',] }],
+        nativeEnded: [{ type: i0.Output, args: ['cdkDragNativeEnded',] }],
+        dropEffectChanged: [{ type: i0.Output, args: ['cdkDragDropEffectChanged',] }],
+        animationDone: [{ type: i0.Output, args: ['cdkDragAnimationDone',] }],
+        keyboardAction: [{ type: i0.Output, args: ['cdkDragKeyboardAction',] }],
         moved: [{ type: i0.Output, args: ['cdkDragMoved',] }]
     };
-    /** Gets the closest ancestor of an element that matches a selector. */
-    function getClosestMatchingAncestor(element, selector) {
-        var currentElement = element.parentElement;
-        while (currentElement) {
-            // IE doesn't support `matches` so we have to fall back to `msMatchesSelector`.
-            if (currentElement.matches ? currentElement.matches(selector) :
-                currentElement.msMatchesSelector(selector)) {
-                return currentElement;
+
+    /**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+    /**
+     * Injection token that can be used to reference instances of `CdkResizeHandle`. It serves as
+     * alternative token to the actual `CdkResizeHandle` class which could cause unnecessary
+     * retention of the class and its directive metadata.
+     */
+    var CDK_RESIZE_HANDLE = new i0.InjectionToken('CdkResizeHandle');
+    /**
+     * Handle that can be used to resize a `CdkResizable`. Can be focused and
+     * moved using the arrow keys in order to resize with the keyboard.
+     */
+    var CdkResizeHandle = /** @class */ (function () {
+        function CdkResizeHandle(element, parentResizable) {
+            this.element = element;
+            /** Emits when the state of the handle has changed. */
+            this._stateChanges = new rxjs.Subject();
+            this._position = 'bottom-end';
+            if (typeof ngDevMode === 'undefined' || ngDevMode) {
+                assertElementNode(element.nativeElement, 'cdkResizeHandle');
             }
-            currentElement = currentElement.parentElement;
+            this._parentResizable = parentResizable;
         }
-        return null;
+        Object.defineProperty(CdkResizeHandle.prototype, "position", {
+            /**
+             * Position of the handle, relative to the element that it resizes. Determines
+             * along which axes the element is resized. Defaults to `bottom-end`.
+             */
+            get: function () { return this._position; },
+            set: function (value) {
+                this._position = value || 'bottom-end';
+                this._stateChanges.next(this);
+            },
+            enumerable: false,
+            configurable: true
+        });
+        CdkResizeHandle.prototype.ngOnDestroy = function () {
+            this._stateChanges.complete();
+        };
+        return CdkResizeHandle;
+    }());
+    CdkResizeHandle.decorators = [
+        { type: i0.Directive, args: [{
+                    selector: '[cdkResizeHandle]',
+                    host: {
+                        'class': 'cdk-resize-handle',
+                        'tabindex': '0',
+                    },
+                    providers: [{ provide: CDK_RESIZE_HANDLE, useExisting: CdkResizeHandle }],
+                },] }
+    ];
+    CdkResizeHandle.ctorParameters = function () { return [
+        { type: i0.ElementRef },
+        { type: undefined, decorators: [{ type: i0.Inject, args: [CDK_RESIZE_PARENT,] }, { type: i0.Optional }, { type: i0.SkipSelf }] }
+    ]; };
+    CdkResizeHandle.propDecorators = {
+        position: [{ type: i0.Input, args: ['cdkResizeHandle',] }]
+    };
+
+    /**
+     * Element that can be resized by dragging one of its `cdkResizeHandle` elements. When it's
+     * placed on a header cell of a `CdkTable`, the width of the entire column changes along with it.
+     */
+    var CdkResizable = /** @class */ (function () {
+        function CdkResizable(
+        /** Element that is being resized. */
+        element, dragDrop, _changeDetectorRef, _dir, config, parentDrag) {
+            this.element = element;
+            this._changeDetectorRef = _changeDetectorRef;
+            this._dir = _dir;
+            /** Emits when the element is destroyed. */
+            this._destroyed = new rxjs.Subject();
+            /** Emits when the user starts resizing the element. */
+            this.started = new i0.EventEmitter();
+            /** Emits as the user is resizing the element. */
+            this.resized = new i0.EventEmitter();
+            /** Emits when the user stops resizing the element. */
+            this.ended = new i0.EventEmitter();
+            if (typeof ngDevMode === 'undefined' || ngDevMode) {
+                assertElementNode(element.nativeElement, 'cdkResizable');
+            }
+            this._resizeRef = dragDrop.createResizable(element, {
+                dragStartThreshold: config && config.dragStartThreshold != null ?
+                    config.dragStartThreshold : 5,
+                pointerDirectionChangeThreshold: config && config.pointerDirectionChangeThreshold != null ?
+                    config.pointerDirectionChangeThreshold : 5,
+                // Setting the parent prevents the pointer events of the handles from
+                // starting a drag sequence on a `cdkDrag` that the element is inside of.
+                parentDragRef: parentDrag ? parentDrag._dragRef : undefined
+            });
+            this._resizeRef.data = this;
+            this._syncInputs(this._resizeRef);
+            this._handleEvents(this._resizeRef);
+        }
+        Object.defineProperty(CdkResizable.prototype, "disabled", {
+            /** Whether resizing the element is disabled. */
+            get: function () { return this._resizeRef.disabled; },
+            set: function (value) {
+                // Resizing can be disabled before the user has interacted with the element
+                // so we need to sync the value with the ref as it's being set.
+                this._resizeRef.disabled = coercion.coerceBooleanProperty(value);
+            },
+            enumerable: false,
+            configurable: true
+        });
+        CdkResizable.prototype.ngAfterViewInit = function () {
+            var _this = this;
+            this._handles.changes.pipe(operators.startWith(this._handles), 
+            // Re-sync the handles if any of them change their position.
+            operators.switchMap(function (handles) {
+                return rxjs.merge.apply(void 0, __spread(handles.map(function (handle) { return handle._stateChanges; }))).pipe(operators.startWith(null));
+            }), operators.takeUntil(this._destroyed)).subscribe(function () {
+                _this._resizeRef.withHandles(_this._handles
+                    .filter(function (handle) { return handle._parentResizable === _this; })
+                    .map(function (handle) { return ({ element: handle.element, position: handle.position }); }));
+            });
+        };
+        CdkResizable.prototype.ngOnDestroy = function () {
+            this._destroyed.next();
+            this._destroyed.complete();
+            this._resizeRef.dispose();
+        };
+        /** Syncs the inputs of the CdkResizable with the options of the underlying ResizeRef. */
+        CdkResizable.prototype._syncInputs = function (ref) {
+            var _this = this;
+            if (this._dir) {
+                this._dir.change
+                    .pipe(operators.startWith(this._dir.value), operators.takeUntil(this._destroyed))
+                    .subscribe(function (value) { return ref.withDirection(value); });
+            }
+            ref.beforeStarted.subscribe(function () {
+                ref.minWidth = coercion.coerceNumberProperty(_this.minWidth, 0);
+                ref.maxWidth = coercion.coerceNumberProperty(_this.maxWidth, Infinity);
+                ref.minHeight = coercion.coerceNumberProperty(_this.minHeight, 0);
+                ref.maxHeight = coercion.coerceNumberProperty(_this.maxHeight, Infinity);
+                ref.lockAspectRatio = coercion.coerceBooleanProperty(_this.lockAspectRatio);
+                ref.keyboardStep = coercion.coerceNumberProperty(_this.keyboardStep, 10);
+                ref.withBoundaryElement(_this._getBoundaryElement());
+            });
+        };
+        /** Handles the events from the underlying ResizeRef. */
+        CdkResizable.prototype._handleEvents = function (ref) {
+            var _this = this;
+            ref.started.subscribe(function (event) {
+                _this.started.emit({ source: _this, handle: _this._getHandle(event.handle) });
+                // Since all of these events run outside of change detection,
+                // we need to ensure that everything is marked correctly.
+                _this._changeDetectorRef.markForCheck();
+            });
+            ref.resized.subscribe(function (event) {
+                _this.resized.emit({
+                    source: _this,
+                    handle: _this._getHandle(event.handle),
+                    width: event.width,
+                    height: event.height
+                });
+                _this._changeDetectorRef.markForCheck();
+            });
+            ref.ended.subscribe(function (event) {
+                _this.ended.emit({
+                    source: _this,
+                    handle: _this._getHandle(event.handle),
+                    width: event.width,
+                    height: event.height
+                });
+                _this._changeDetectorRef.markForCheck();
+            });
+        };
+        /** Gets the handle directive that corresponds to an element. */
+        CdkResizable.prototype._getHandle = function (element) {
+            return this._handles.find(function (handle) { return handle.element.nativeElement === element; });
+        };
+        /** Gets the boundary element, based on the `boundaryElement` value. */
+        CdkResizable.prototype._getBoundaryElement = function () {
+            var boundary = this.boundaryElement;
+            if (!boundary) {
+                return null;
+            }
+            if (typeof boundary === 'string') {
+                return getClosestMatchingAncestor(this.element.nativeElement, boundary);
+            }
+            var element = coercion.coerceElement(boundary);
+            if ((typeof ngDevMode === 'undefined' || ngDevMode) &&
+                !element.contains(this.element.nativeElement)) {
+                throw Error('Resizable element is not inside of the node passed into cdkResizableBoundary.');
+            }
+            return element;
+        };
+        return CdkResizable;
+    }());
+    CdkResizable.decorators = [
+        { type: i0.Directive, args: [{
+                    selector: '[cdkResizable]',
+                    exportAs: 'cdkResizable',
+                    host: {
+                        'class': 'cdk-resizable',
+                        '[class.cdk-resizable-disabled]': 'disabled',
+                        '[class.cdk-resizable-resizing]': '_resizeRef.isResizing()',
+                    },
+                    providers: [
+                        { provide: CDK_RESIZE_PARENT, useExisting: CdkResizable },
+                        { provide: table.CDK_TABLE_RESIZABLE, useExisting: CdkResizable },
+                    ]
+                },] }
+    ];
+    CdkResizable.ctorParameters = function () { return [
+        { type: i0.ElementRef },
+        { type: DragDrop },
+        { type: i0.ChangeDetectorRef },
+        { type: bidi.Directionality, decorators: [{ type: i0.Optional }] },
+        { type: undefined, decorators: [{ type: i0.Optional }, { type: i0.Inject, args: [CDK_DRAG_CONFIG,] }] },
+        { type: undefined, decorators: [{ type: i0.Optional }, { type: i0.SkipSelf }, { type: i0.Inject, args: [CDK_DRAG_PARENT,] }] }
+    ]; };
+    CdkResizable.propDecorators = {
+        _handles: [{ type: i0.ContentChildren, args: [CDK_RESIZE_HANDLE, { descendants: true },] }],
+        data: [{ type: i0.Input, args: ['cdkResizableData',] }],
+        minWidth: [{ type: i0.Input, args: ['cdkResizableMinWidth',] }],
+        maxWidth: [{ type: i0.Input, args: ['cdkResizableMaxWidth',] }],
+        minHeight: [{ type: i0.Input, args: ['cdkResizableMinHeight',] }],
+        maxHeight: [{ type: i0.Input, args: ['cdkResizableMaxHeight',] }],
+        lockAspectRatio: [{ type: i0.Input, args: ['cdkResizableLockAspectRatio',] }],
+        boundaryElement: [{ type: i0.Input, args: ['cdkResizableBoundary',] }],
+        keyboardStep: [{ type: i0.Input, args: ['cdkResizableKeyboardStep',] }],
+        disabled: [{ type: i0.Input, args: ['cdkResizableDisabled',] }],
+        started: [{ type: i0.Output, args: ['cdkResizableStarted',] }],
+        resized: [{ type: i0.Output, args: ['cdkResizableResized',] }],
+        ended: [{ type: i0.Output, args: ['cdkResizableEnded',] }]
+    };
+
+    /**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+    /**
+     * Adds keyboard shortcuts for undoing and redoing drag&drop operations while focus is inside
+     * the element. Ctrl+Z (Cmd+Z on Mac) undoes the last operation, whereas Ctrl+Shift+Z and Ctrl+Y
+     * redo it. The shortcuts aren't handled while the user is typing inside a text field so that
+     * they don't interfere with the native undo behavior.
+     */
+    var CdkDragDropHistory = /** @class */ (function () {
+        function CdkDragDropHistory(_defaultHistory) {
+            this._defaultHistory = _defaultHistory;
+            this._disabled = false;
+            this._history = _defaultHistory;
+        }
+        Object.defineProperty(CdkDragDropHistory.prototype, "history", {
+            /**
+             * History whose operations should be undone and redone.
+             * Defaults to the `DragDropHistory` that is available for injection.
+             */
+            get: function () { return this._history; },
+            set: function (value) {
+                this._history = value || this._defaultHistory;
+            },
+            enumerable: false,
+            configurable: true
+        });
+        Object.defineProperty(CdkDragDropHistory.prototype, "disabled", {
+            /** Whether the keyboard shortcuts are disabled. */
+            get: function () { return this._disabled; },
+            set: function (value) {
+                this._disabled = coercion.coerceBooleanProperty(value);
+            },
+            enumerable: false,
+            configurable: true
+        });
+        /** Handles keyboard events on the host element. */
+        CdkDragDropHistory.prototype._handleKeydown = function (event) {
+            if (this.disabled || !keycodes.hasModifierKey(event, 'ctrlKey', 'metaKey') ||
+                keycodes.hasModifierKey(event, 'altKey') || isEditableElement(event.target)) {
+                return;
+            }
+            var keyCode = event.keyCode;
+            var hasShift = keycodes.hasModifierKey(event, 'shiftKey');
+            var operation = null;
+            if ((keyCode === keycodes.Z && hasShift) || (keyCode === keycodes.Y && !hasShift)) {
+                operation = this._history.redo();
+            }
+            else if (keyCode === keycodes.Z) {
+                operation = this._history.undo();
+            }
+            // Only prevent the default action if something happened so that
+            // the browser can handle the shortcut if there was nothing to undo.
+            if (operation) {
+                event.preventDefault();
+            }
+        };
+        return CdkDragDropHistory;
+    }());
+    CdkDragDropHistory.decorators = [
+        { type: i0.Directive, args: [{
+                    selector: '[cdkDragDropHistory]',
+                    exportAs: 'cdkDragDropHistory',
+                    host: {
+                        '(keydown)': '_handleKeydown($event)',
+                    }
+                },] }
+    ];
+    CdkDragDropHistory.ctorParameters = function () { return [
+        { type: DragDropHistory }
+    ]; };
+    CdkDragDropHistory.propDecorators = {
+        history: [{ type: i0.Input, args: ['cdkDragDropHistory',] }],
+        disabled: [{ type: i0.Input, args: ['cdkDragDropHistoryDisabled',] }]
+    };
+    /** Whether an element handles text editing shortcuts itself. */
+    function isEditableElement(element) {
+        if (!element || !element.nodeName) {
+            return false;
+        }
+        var nodeName = element.nodeName.toLowerCase();
+        return nodeName === 'input' || nodeName === 'textarea' || !!element.isContentEditable;
     }
 
     /**
@@ -3774,6 +7418,10 @@
                         CdkDragHandle,
                         CdkDragPreview,
                         CdkDragPlaceholder,
+                        CdkDragCanvas,
+                        CdkResizable,
+                        CdkResizeHandle,
+                        CdkDragDropHistory,
                     ],
                     exports: [
                         i2.CdkScrollableModule,
@@ -3783,6 +7431,10 @@
                         CdkDragHandle,
                         CdkDragPreview,
                         CdkDragPlaceholder,
+                        CdkDragCanvas,
+                        CdkResizable,
+                        CdkResizeHandle,
+                        CdkDragDropHistory,
                     ],
                     providers: [
                         DragDrop,
@@ -3802,6 +7454,7 @@
      * Generated bundle index. Do not edit.
      */
 
+    exports.CDK_DRAG_CANVAS = CDK_DRAG_CANVAS;
     exports.CDK_DRAG_CONFIG = CDK_DRAG_CONFIG;
     exports.CDK_DRAG_HANDLE = CDK_DRAG_HANDLE;
     exports.CDK_DRAG_PARENT = CDK_DRAG_PARENT;
@@ -3809,20 +7462,34 @@
     exports.CDK_DRAG_PREVIEW = CDK_DRAG_PREVIEW;
     exports.CDK_DROP_LIST = CDK_DROP_LIST;
     exports.CDK_DROP_LIST_GROUP = CDK_DROP_LIST_GROUP;
+    exports.CDK_RESIZE_HANDLE = CDK_RESIZE_HANDLE;
+    exports.CDK_RESIZE_PARENT = CDK_RESIZE_PARENT;
     exports.CdkDrag = CdkDrag;
+    exports.CdkDragCanvas = CdkDragCanvas;
+    exports.CdkDragDropHistory = CdkDragDropHistory;
     exports.CdkDragHandle = CdkDragHandle;
+    exports.CdkDragKeyboardIntl = CdkDragKeyboardIntl;
     exports.CdkDragPlaceholder = CdkDragPlaceholder;
     exports.CdkDragPreview = CdkDragPreview;
     exports.CdkDropList = CdkDropList;
     exports.CdkDropListGroup = CdkDropListGroup;
+    exports.CdkResizable = CdkResizable;
+    exports.CdkResizeHandle = CdkResizeHandle;
+    exports.DragCanvasRef = DragCanvasRef;
     exports.DragDrop = DragDrop;
+    exports.DragDropHistory = DragDropHistory;
     exports.DragDropModule = DragDropModule;
     exports.DragDropRegistry = DragDropRegistry;
     exports.DragRef = DragRef;
     exports.DropListRef = DropListRef;
+    exports.ResizeRef = ResizeRef;
     exports.copyArrayItem = copyArrayItem;
+    exports.copyArrayItems = copyArrayItems;
     exports.moveItemInArray = moveItemInArray;
+    exports.moveItemsInArray = moveItemsInArray;
     exports.transferArrayItem = transferArrayItem;
+    exports.transferArrayItems = transferArrayItems;
+    exports.ɵ0 = ɵ0$1;
 
     Object.defineProperty(exports, '__esModule', { value: true });
 
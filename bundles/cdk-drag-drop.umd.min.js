@@ -1,46 +1,53 @@
-!function(t,e){"object"==typeof exports&&"undefined"!=typeof module?e(exports,require("@angular/core"),require("@angular/common"),require("@angular/cdk/scrolling"),require("@angular/cdk/platform"),require("@angular/cdk/coercion"),require("rxjs"),require("rxjs/operators"),require("@angular/cdk/bidi")):"function"==typeof define&&define.amd?define("@angular/cdk/drag-drop",["exports","@angular/core","@angular/common","@angular/cdk/scrolling","@angular/cdk/platform","@angular/cdk/coercion","rxjs","rxjs/operators","@angular/cdk/bidi"],e):e(((t=t||self).ng=t.ng||{},t.ng.cdk=t.ng.cdk||{},t.ng.cdk.dragDrop={}),t.ng.core,t.ng.common,t.ng.cdk.scrolling,t.ng.cdk.platform,t.ng.cdk.coercion,t.rxjs,t.rxjs.operators,t.ng.cdk.bidi)}(this,(function(t,e,i,r,n,o,s,a,c){"use strict";
+!function(t,e){"object"==typeof exports&&"undefined"!=typeof module?e(exports,require("@angular/core"),require("@angular/common"),require("@angular/cdk/scrolling"),require("@angular/cdk/platform"),require("@angular/cdk/coercion"),require("@angular/cdk/keycodes"),require("rxjs"),require("rxjs/operators"),require("@angular/cdk/bidi"),require("@angular/cdk/a11y"),require("@angular/cdk/table")):"function"==typeof define&&define.amd?define("@angular/cdk/drag-drop",["exports","@angular/core","@angular/common","@angular/cdk/scrolling","@angular/cdk/platform","@angular/cdk/coercion","@angular/cdk/keycodes","rxjs","rxjs/operators","@angular/cdk/bidi","@angular/cdk/a11y","@angular/cdk/table"],e):e(((t=t||self).ng=t.ng||{},t.ng.cdk=t.ng.cdk||{},t.ng.cdk.dragDrop={}),t.ng.core,t.ng.common,t.ng.cdk.scrolling,t.ng.cdk.platform,t.ng.cdk.coercion,t.ng.cdk.keycodes,t.rxjs,t.rxjs.operators,t.ng.cdk.bidi,t.ng.cdk.a11y,t.ng.cdk.table)}(this,(function(t,e,i,n,r,o,s,a,c,l,h,d){"use strict";
 /**
      * @license
      * Copyright Google LLC All Rights Reserved.
      *
      * Use of this source code is governed by an MIT-style license that can be
      * found in the LICENSE file at https://angular.io/license
-     */function l(t,e){for(var i in e)e.hasOwnProperty(i)&&(t[i]=e[i]);return t}function p(t,e){var i=e?"":"none";l(t.style,{touchAction:e?"":"none",webkitUserDrag:e?"":"none",webkitTapHighlightColor:e?"":"transparent",userSelect:i,msUserSelect:i,webkitUserSelect:i,MozUserSelect:i})}function h(t,e){var i=t.style;i.position=e?"":"fixed",i.top=i.opacity=e?"":"0",i.left=e?"":"-999em"}
+     */function p(t,e){for(var i in e)e.hasOwnProperty(i)&&(t[i]=e[i]);return t}function u(t,e){var i=e?"":"none";p(t.style,{touchAction:e?"":"none",webkitUserDrag:e?"":"none",webkitTapHighlightColor:e?"":"transparent",userSelect:i,msUserSelect:i,webkitUserSelect:i,MozUserSelect:i})}function g(t,e){var i=t.style;i.position=e?"":"fixed",i.top=i.opacity=e?"":"0",i.left=e?"":"-999em"}
 /**
      * @license
      * Copyright Google LLC All Rights Reserved.
      *
      * Use of this source code is governed by an MIT-style license that can be
      * found in the LICENSE file at https://angular.io/license
-     */function d(t){var e=t.toLowerCase().indexOf("ms")>-1?1:1e3;return parseFloat(t)*e}function u(t,e){return t.getPropertyValue(e).split(",").map((function(t){return t.trim()}))}
+     */function _(t){var e=t.toLowerCase().indexOf("ms")>-1?1:1e3;return parseFloat(t)*e}function f(t){var e=getComputedStyle(t),i=m(e,"transition-property"),n=i.find((function(t){return"transform"===t||"all"===t}));if(!n)return 0;var r=i.indexOf(n),o=m(e,"transition-duration"),s=m(e,"transition-delay");return _(o[r])+_(s[r])}function m(t,e){return t.getPropertyValue(e).split(",").map((function(t){return t.trim()}))}function v(t,e){return 0===e?Promise.resolve():new Promise((function(i){var n=function(e){(!e||e.target===t&&"transform"===e.propertyName)&&(t.removeEventListener("transitionend",n),t.removeEventListener("transitioncancel",n),clearTimeout(r),i())},r=setTimeout(n,1.5*e);t.addEventListener("transitionend",n),t.addEventListener("transitioncancel",n)}))}
 /**
      * @license
      * Copyright Google LLC All Rights Reserved.
      *
      * Use of this source code is governed by an MIT-style license that can be
      * found in the LICENSE file at https://angular.io/license
-     */function g(t){var e=t.getBoundingClientRect();return{top:e.top,right:e.right,bottom:e.bottom,left:e.left,width:e.width,height:e.height}}function _(t,e,i){return i>=t.top&&i<=t.bottom&&e>=t.left&&e<=t.right}function f(t,e,i){t.top+=e,t.bottom=t.top+t.height,t.left+=i,t.right=t.left+t.width}function m(t,e,i,r){var n=t.width*e,o=t.height*e;return r>t.top-o&&r<t.bottom+o&&i>t.left-n&&i<t.right+n}
+     */function y(t,e){for(var i={x:0,y:0},n=t.ownerDocument||t;n&&n!==e;){var r=S(n);if(!r)break;var o=x(r);i.x+=o.x,i.y+=o.y,n=r.ownerDocument}return i}function b(t){return t.view?t.view.document:null}function D(t,e){for(var i=t.parentElement;i;){if(i.matches?i.matches(e):i.msMatchesSelector(e))return i;i=i.parentElement}return null}function S(t){try{return t.defaultView?t.defaultView.frameElement:null}catch(t){return null}}function E(t){if("IFRAME"!==t.nodeName&&"FRAME"!==t.nodeName)return null;try{return t.contentDocument}catch(t){return null}}function x(t){var e=t.getBoundingClientRect(),i=t.ownerDocument.defaultView,n=i?i.getComputedStyle(t):null;return{x:e.left+t.clientLeft+(n&&parseFloat(n.paddingLeft)||0),y:e.top+t.clientTop+(n&&parseFloat(n.paddingTop)||0)}}
 /**
      * @license
      * Copyright Google LLC All Rights Reserved.
      *
      * Use of this source code is governed by an MIT-style license that can be
      * found in the LICENSE file at https://angular.io/license
-     */var v=function(){function t(t,e){this._document=t,this._viewportRuler=e,this.positions=new Map}return t.prototype.clear=function(){this.positions.clear()},t.prototype.cache=function(t){var e=this;this.clear(),this.positions.set(this._document,{scrollPosition:this._viewportRuler.getViewportScrollPosition()}),t.forEach((function(t){e.positions.set(t,{scrollPosition:{top:t.scrollTop,left:t.scrollLeft},clientRect:g(t)})}))},t.prototype.handleScroll=function(t){var e=t.target,i=this.positions.get(e);if(!i)return null;var r,n,o=e===this._document?e.documentElement:e,s=i.scrollPosition;if(e===this._document){var a=this._viewportRuler.getViewportScrollPosition();r=a.top,n=a.left}else r=e.scrollTop,n=e.scrollLeft;var c=s.top-r,l=s.left-n;return this.positions.forEach((function(t,i){t.clientRect&&e!==i&&o.contains(i)&&f(t.clientRect,c,l)})),s.top=r,s.left=n,{top:c,left:l}},t}();
+     */function I(t,e){var i=t.getBoundingClientRect(),n=e?y(t,e):null,r=n?n.x:0,o=n?n.y:0;return{top:i.top+o,right:i.right+r,bottom:i.bottom+o,left:i.left+r,width:i.width,height:i.height}}function w(t,e,i){return i>=t.top&&i<=t.bottom&&e>=t.left&&e<=t.right}function R(t,e,i){t.top+=e,t.bottom=t.top+t.height,t.left+=i,t.right=t.left+t.width}function P(t,e,i,n){var r=t.width*e,o=t.height*e;return n>t.top-o&&n<t.bottom+o&&i>t.left-r&&i<t.right+r}
 /**
      * @license
      * Copyright Google LLC All Rights Reserved.
      *
      * Use of this source code is governed by an MIT-style license that can be
      * found in the LICENSE file at https://angular.io/license
-     */function y(t){var e=t.cloneNode(!0),i=e.querySelectorAll("[id]"),r=t.nodeName.toLowerCase();e.removeAttribute("id");for(var n=0;n<i.length;n++)i[n].removeAttribute("id");return"canvas"===r?P(t,e):"input"!==r&&"select"!==r&&"textarea"!==r||S(t,e),D("canvas",t,e,P),D("input, textarea, select",t,e,S),e}function D(t,e,i,r){var n=e.querySelectorAll(t);if(n.length)for(var o=i.querySelectorAll(t),s=0;s<n.length;s++)r(n[s],o[s])}var b=0;function S(t,e){"file"!==e.type&&(e.value=t.value),"radio"===e.type&&e.name&&(e.name="mat-clone-"+e.name+"-"+b++)}function P(t,e){var i=e.getContext("2d");if(i)try{i.drawImage(t,0,0)}catch(t){}}
+     */var k=function(){function t(t,e){this._document=t,this._viewportRuler=e,this.positions=new Map}return t.prototype.clear=function(){this.positions.clear()},t.prototype.cache=function(t){var e=this;this.clear(),this.positions.set(this._document,{scrollPosition:this._viewportRuler.getViewportScrollPosition()}),t.forEach((function(t){e.positions.set(t,{scrollPosition:{top:t.scrollTop,left:t.scrollLeft},clientRect:I(t,e._document)})}))},t.prototype.handleScroll=function(t){var e=t.target,i=this.positions.get(e);if(!i)return null;var n,r,o=e===this._document?e.documentElement:e,s=i.scrollPosition;if(e===this._document){var a=this._viewportRuler.getViewportScrollPosition();n=a.top,r=a.left}else n=e.scrollTop,r=e.scrollLeft;var c=s.top-n,l=s.left-r;return this.positions.forEach((function(t,i){t.clientRect&&e!==i&&o.contains(i)&&R(t.clientRect,c,l)})),s.top=n,s.left=r,{top:c,left:l}},t}();
 /**
      * @license
      * Copyright Google LLC All Rights Reserved.
      *
      * Use of this source code is governed by an MIT-style license that can be
      * found in the LICENSE file at https://angular.io/license
-     */var w=n.normalizePassiveListenerOptions({passive:!0}),E=n.normalizePassiveListenerOptions({passive:!1}),R=function(){function t(t,e,i,r,n,o){var a=this;this._config=e,this._document=i,this._ngZone=r,this._viewportRuler=n,this._dragDropRegistry=o,this._passiveTransform={x:0,y:0},this._activeTransform={x:0,y:0},this._moveEvents=new s.Subject,this._pointerMoveSubscription=s.Subscription.EMPTY,this._pointerUpSubscription=s.Subscription.EMPTY,this._scrollSubscription=s.Subscription.EMPTY,this._resizeSubscription=s.Subscription.EMPTY,this._boundaryElement=null,this._nativeInteractionsEnabled=!0,this._handles=[],this._disabledHandles=new Set,this._direction="ltr",this.dragStartDelay=0,this._disabled=!1,this.beforeStarted=new s.Subject,this.started=new s.Subject,this.released=new s.Subject,this.ended=new s.Subject,this.entered=new s.Subject,this.exited=new s.Subject,this.dropped=new s.Subject,this.moved=this._moveEvents,this._pointerDown=function(t){if(a.beforeStarted.next(),a._handles.length){var e=a._handles.find((function(e){var i=t.target;return!!i&&(i===e||e.contains(i))}));!e||a._disabledHandles.has(e)||a.disabled||a._initializeDragSequence(e,t)}else a.disabled||a._initializeDragSequence(a._rootElement,t)},this._pointerMove=function(t){var e=a._getPointerPositionOnPage(t);if(a._hasStartedDragging){a._boundaryElement&&(a._previewRect&&(a._previewRect.width||a._previewRect.height)||(a._previewRect=(a._preview||a._rootElement).getBoundingClientRect())),t.preventDefault();var i=a._getConstrainedPointerPosition(e);if(a._hasMoved=!0,a._lastKnownPointerPosition=e,a._updatePointerDirectionDelta(i),a._dropContainer)a._updateActiveDropContainer(i,e);else{var r=a._activeTransform;r.x=i.x-a._pickupPositionOnPage.x+a._passiveTransform.x,r.y=i.y-a._pickupPositionOnPage.y+a._passiveTransform.y,a._applyRootElementTransform(r.x,r.y),"undefined"!=typeof SVGElement&&a._rootElement instanceof SVGElement&&a._rootElement.setAttribute("transform","translate("+r.x+" "+r.y+")")}a._moveEvents.observers.length&&a._ngZone.run((function(){a._moveEvents.next({source:a,pointerPosition:i,event:t,distance:a._getDragDistance(i),delta:a._pointerDirectionDelta})}))}else if(Math.abs(e.x-a._pickupPositionOnPage.x)+Math.abs(e.y-a._pickupPositionOnPage.y)>=a._config.dragStartThreshold){var n=Date.now()>=a._dragStartTime+a._getDragStartDelay(t),o=a._dropContainer;if(!n)return void a._endDragSequence(t);o&&(o.isDragging()||o.isReceiving())||(t.preventDefault(),a._hasStartedDragging=!0,a._ngZone.run((function(){return a._startDragSequence(t)})))}},this._pointerUp=function(t){a._endDragSequence(t)},this.withRootElement(t).withParent(e.parentDragRef||null),this._parentPositions=new v(i,n),o.registerDragItem(this)}return Object.defineProperty(t.prototype,"disabled",{get:function(){return this._disabled||!(!this._dropContainer||!this._dropContainer.disabled)},set:function(t){var e=o.coerceBooleanProperty(t);e!==this._disabled&&(this._disabled=e,this._toggleNativeDragInteractions(),this._handles.forEach((function(t){return p(t,e)})))},enumerable:!1,configurable:!0}),t.prototype.getPlaceholderElement=function(){return this._placeholder},t.prototype.getRootElement=function(){return this._rootElement},t.prototype.getVisibleElement=function(){return this.isDragging()?this.getPlaceholderElement():this.getRootElement()},t.prototype.withHandles=function(t){var e=this;this._handles=t.map((function(t){return o.coerceElement(t)})),this._handles.forEach((function(t){return p(t,e.disabled)})),this._toggleNativeDragInteractions();var i=new Set;return this._disabledHandles.forEach((function(t){e._handles.indexOf(t)>-1&&i.add(t)})),this._disabledHandles=i,this},t.prototype.withPreviewTemplate=function(t){return this._previewTemplate=t,this},t.prototype.withPlaceholderTemplate=function(t){return this._placeholderTemplate=t,this},t.prototype.withRootElement=function(t){var e=this,i=o.coerceElement(t);return i!==this._rootElement&&(this._rootElement&&this._removeRootElementListeners(this._rootElement),this._ngZone.runOutsideAngular((function(){i.addEventListener("mousedown",e._pointerDown,E),i.addEventListener("touchstart",e._pointerDown,w)})),this._initialTransform=void 0,this._rootElement=i),"undefined"!=typeof SVGElement&&this._rootElement instanceof SVGElement&&(this._ownerSVGElement=this._rootElement.ownerSVGElement),this},t.prototype.withBoundaryElement=function(t){var e=this;return this._boundaryElement=t?o.coerceElement(t):null,this._resizeSubscription.unsubscribe(),t&&(this._resizeSubscription=this._viewportRuler.change(10).subscribe((function(){return e._containInsideBoundaryOnResize()}))),this},t.prototype.withParent=function(t){return this._parentDragRef=t,this},t.prototype.dispose=function(){this._removeRootElementListeners(this._rootElement),this.isDragging()&&C(this._rootElement),C(this._anchor),this._destroyPreview(),this._destroyPlaceholder(),this._dragDropRegistry.removeDragItem(this),this._removeSubscriptions(),this.beforeStarted.complete(),this.started.complete(),this.released.complete(),this.ended.complete(),this.entered.complete(),this.exited.complete(),this.dropped.complete(),this._moveEvents.complete(),this._handles=[],this._disabledHandles.clear(),this._dropContainer=void 0,this._resizeSubscription.unsubscribe(),this._parentPositions.clear(),this._boundaryElement=this._rootElement=this._ownerSVGElement=this._placeholderTemplate=this._previewTemplate=this._anchor=this._parentDragRef=null},t.prototype.isDragging=function(){return this._hasStartedDragging&&this._dragDropRegistry.isDragging(this)},t.prototype.reset=function(){this._rootElement.style.transform=this._initialTransform||"",this._activeTransform={x:0,y:0},this._passiveTransform={x:0,y:0}},t.prototype.disableHandle=function(t){!this._disabledHandles.has(t)&&this._handles.indexOf(t)>-1&&(this._disabledHandles.add(t),p(t,!0))},t.prototype.enableHandle=function(t){this._disabledHandles.has(t)&&(this._disabledHandles.delete(t),p(t,this.disabled))},t.prototype.withDirection=function(t){return this._direction=t,this},t.prototype._withDropContainer=function(t){this._dropContainer=t},t.prototype.getFreeDragPosition=function(){var t=this.isDragging()?this._activeTransform:this._passiveTransform;return{x:t.x,y:t.y}},t.prototype.setFreeDragPosition=function(t){return this._activeTransform={x:0,y:0},this._passiveTransform.x=t.x,this._passiveTransform.y=t.y,this._dropContainer||this._applyRootElementTransform(t.x,t.y),this},t.prototype.withPreviewContainer=function(t){return this._previewContainer=t,this},t.prototype._sortFromLastPointerPosition=function(){var t=this._lastKnownPointerPosition;t&&this._dropContainer&&this._updateActiveDropContainer(this._getConstrainedPointerPosition(t),t)},t.prototype._removeSubscriptions=function(){this._pointerMoveSubscription.unsubscribe(),this._pointerUpSubscription.unsubscribe(),this._scrollSubscription.unsubscribe()},t.prototype._destroyPreview=function(){this._preview&&C(this._preview),this._previewRef&&this._previewRef.destroy(),this._preview=this._previewRef=null},t.prototype._destroyPlaceholder=function(){this._placeholder&&C(this._placeholder),this._placeholderRef&&this._placeholderRef.destroy(),this._placeholder=this._placeholderRef=null},t.prototype._endDragSequence=function(t){var e=this;this._dragDropRegistry.isDragging(this)&&(this._removeSubscriptions(),this._dragDropRegistry.stopDragging(this),this._toggleNativeDragInteractions(),this._handles&&(this._rootElement.style.webkitTapHighlightColor=this._rootElementTapHighlight),this._hasStartedDragging&&(this.released.next({source:this}),this._dropContainer?(this._dropContainer._stopScrolling(),this._animatePreviewToPlaceholder().then((function(){e._cleanupDragArtifacts(t),e._cleanupCachedDimensions(),e._dragDropRegistry.stopDragging(e)}))):(this._passiveTransform.x=this._activeTransform.x,this._passiveTransform.y=this._activeTransform.y,this._ngZone.run((function(){e.ended.next({source:e,distance:e._getDragDistance(e._getPointerPositionOnPage(t))})})),this._cleanupCachedDimensions(),this._dragDropRegistry.stopDragging(this))))},t.prototype._startDragSequence=function(t){k(t)&&(this._lastTouchEventTime=Date.now()),this._toggleNativeDragInteractions();var e=this._dropContainer;if(e){var i=this._rootElement,r=i.parentNode,n=this._preview=this._createPreviewElement(),o=this._placeholder=this._createPlaceholderElement(),s=this._anchor=this._anchor||this._document.createComment(""),a=this._getShadowRoot();r.insertBefore(s,i),h(i,!1),this._document.body.appendChild(r.replaceChild(o,i)),this._getPreviewInsertionPoint(r,a).appendChild(n),this.started.next({source:this}),e.start(),this._initialContainer=e,this._initialIndex=e.getItemIndex(this)}else this.started.next({source:this}),this._initialContainer=this._initialIndex=void 0;this._parentPositions.cache(e?e.getScrollableParents():[])},t.prototype._initializeDragSequence=function(t,e){var i=this;this._parentDragRef&&e.stopPropagation();var r=this.isDragging(),n=k(e),o=!n&&0!==e.button,s=this._rootElement,a=!n&&this._lastTouchEventTime&&this._lastTouchEventTime+800>Date.now();if(e.target&&e.target.draggable&&"mousedown"===e.type&&e.preventDefault(),!(r||o||a)){this._handles.length&&(this._rootElementTapHighlight=s.style.webkitTapHighlightColor||"",s.style.webkitTapHighlightColor="transparent"),this._hasStartedDragging=this._hasMoved=!1,this._removeSubscriptions(),this._pointerMoveSubscription=this._dragDropRegistry.pointerMove.subscribe(this._pointerMove),this._pointerUpSubscription=this._dragDropRegistry.pointerUp.subscribe(this._pointerUp),this._scrollSubscription=this._dragDropRegistry.scroll.subscribe((function(t){i._updateOnScroll(t)})),this._boundaryElement&&(this._boundaryRect=g(this._boundaryElement));var c=this._previewTemplate;this._pickupPositionInElement=c&&c.template&&!c.matchSize?{x:0,y:0}:this._getPointerPositionInElement(t,e);var l=this._pickupPositionOnPage=this._lastKnownPointerPosition=this._getPointerPositionOnPage(e);this._pointerDirectionDelta={x:0,y:0},this._pointerPositionAtLastDirectionChange={x:l.x,y:l.y},this._dragStartTime=Date.now(),this._dragDropRegistry.startDragging(this,e)}},t.prototype._cleanupDragArtifacts=function(t){var e=this;h(this._rootElement,!0),this._anchor.parentNode.replaceChild(this._rootElement,this._anchor),this._destroyPreview(),this._destroyPlaceholder(),this._boundaryRect=this._previewRect=void 0,this._ngZone.run((function(){var i=e._dropContainer,r=i.getItemIndex(e),n=e._getPointerPositionOnPage(t),o=e._getDragDistance(e._getPointerPositionOnPage(t)),s=i._isOverContainer(n.x,n.y);e.ended.next({source:e,distance:o}),e.dropped.next({item:e,currentIndex:r,previousIndex:e._initialIndex,container:i,previousContainer:e._initialContainer,isPointerOverContainer:s,distance:o}),i.drop(e,r,e._initialIndex,e._initialContainer,s,o),e._dropContainer=e._initialContainer}))},t.prototype._updateActiveDropContainer=function(t,e){var i=this,r=t.x,n=t.y,o=e.x,s=e.y,a=this._initialContainer._getSiblingContainerFromPosition(this,r,n);!a&&this._dropContainer!==this._initialContainer&&this._initialContainer._isOverContainer(r,n)&&(a=this._initialContainer),a&&a!==this._dropContainer&&this._ngZone.run((function(){i.exited.next({item:i,container:i._dropContainer}),i._dropContainer.exit(i),i._dropContainer=a,i._dropContainer.enter(i,r,n,a===i._initialContainer&&a.sortingDisabled?i._initialIndex:void 0),i.entered.next({item:i,container:a,currentIndex:a.getItemIndex(i)})})),this._dropContainer._startScrollingIfNecessary(o,s),this._dropContainer._sortItem(this,r,n,this._pointerDirectionDelta),this._preview.style.transform=x(r-this._pickupPositionInElement.x,n-this._pickupPositionInElement.y)},t.prototype._createPreviewElement=function(){var t,e=this._previewTemplate,i=this.previewClass,r=e?e.template:null;if(r&&e){var n=e.matchSize?this._rootElement.getBoundingClientRect():null,o=e.viewContainer.createEmbeddedView(r,e.context);o.detectChanges(),t=T(o,this._document),this._previewRef=o,e.matchSize?O(t,n):t.style.transform=x(this._pickupPositionOnPage.x,this._pickupPositionOnPage.y)}else{var s=this._rootElement;O(t=y(s),s.getBoundingClientRect())}return l(t.style,{pointerEvents:"none",margin:"0",position:"fixed",top:"0",left:"0",zIndex:""+(this._config.zIndex||1e3)}),p(t,!1),t.classList.add("cdk-drag-preview"),t.setAttribute("dir",this._direction),i&&(Array.isArray(i)?i.forEach((function(e){return t.classList.add(e)})):t.classList.add(i)),t},t.prototype._animatePreviewToPlaceholder=function(){var t=this;if(!this._hasMoved)return Promise.resolve();var e=this._placeholder.getBoundingClientRect();this._preview.classList.add("cdk-drag-animating"),this._preview.style.transform=x(e.left,e.top);var i=function r(t){var e=getComputedStyle(t),i=u(e,"transition-property"),r=i.find((function(t){return"transform"===t||"all"===t}));if(!r)return 0;var n=i.indexOf(r),o=u(e,"transition-duration"),s=u(e,"transition-delay");return d(o[n])+d(s[n])}(this._preview);return 0===i?Promise.resolve():this._ngZone.runOutsideAngular((function(){return new Promise((function(e){var r=function(i){(!i||i.target===t._preview&&"transform"===i.propertyName)&&(t._preview.removeEventListener("transitionend",r),e(),clearTimeout(n))},n=setTimeout(r,1.5*i);t._preview.addEventListener("transitionend",r)}))}))},t.prototype._createPlaceholderElement=function(){var t,e=this._placeholderTemplate,i=e?e.template:null;return i?(this._placeholderRef=e.viewContainer.createEmbeddedView(i,e.context),this._placeholderRef.detectChanges(),t=T(this._placeholderRef,this._document)):t=y(this._rootElement),t.classList.add("cdk-drag-placeholder"),t},t.prototype._getPointerPositionInElement=function(t,e){var i=this._rootElement.getBoundingClientRect(),r=t===this._rootElement?null:t,n=r?r.getBoundingClientRect():i,o=k(e)?e.targetTouches[0]:e,s=this._getViewportScrollPosition();return{x:n.left-i.left+(o.pageX-n.left-s.left),y:n.top-i.top+(o.pageY-n.top-s.top)}},t.prototype._getPointerPositionOnPage=function(t){var e=this._getViewportScrollPosition(),i=k(t)?t.touches[0]||t.changedTouches[0]||{pageX:0,pageY:0}:t,r=i.pageX-e.left,n=i.pageY-e.top;if(this._ownerSVGElement){var o=this._ownerSVGElement.getScreenCTM();if(o){var s=this._ownerSVGElement.createSVGPoint();return s.x=r,s.y=n,s.matrixTransform(o.inverse())}}return{x:r,y:n}},t.prototype._getConstrainedPointerPosition=function(t){var e=this._dropContainer?this._dropContainer.lockAxis:null,i=this.constrainPosition?this.constrainPosition(t,this):t,r=i.x,n=i.y;if("x"===this.lockAxis||"x"===e?n=this._pickupPositionOnPage.y:"y"!==this.lockAxis&&"y"!==e||(r=this._pickupPositionOnPage.x),this._boundaryRect){var o=this._pickupPositionInElement,s=o.x,a=o.y,c=this._boundaryRect,l=this._previewRect,p=c.top+a,h=c.bottom-(l.height-a);r=I(r,c.left+s,c.right-(l.width-s)),n=I(n,p,h)}return{x:r,y:n}},t.prototype._updatePointerDirectionDelta=function(t){var e=t.x,i=t.y,r=this._pointerDirectionDelta,n=this._pointerPositionAtLastDirectionChange,o=Math.abs(e-n.x),s=Math.abs(i-n.y);return o>this._config.pointerDirectionChangeThreshold&&(r.x=e>n.x?1:-1,n.x=e),s>this._config.pointerDirectionChangeThreshold&&(r.y=i>n.y?1:-1,n.y=i),r},t.prototype._toggleNativeDragInteractions=function(){if(this._rootElement&&this._handles){var t=this._handles.length>0||!this.isDragging();t!==this._nativeInteractionsEnabled&&(this._nativeInteractionsEnabled=t,p(this._rootElement,t))}},t.prototype._removeRootElementListeners=function(t){t.removeEventListener("mousedown",this._pointerDown,E),t.removeEventListener("touchstart",this._pointerDown,w)},t.prototype._applyRootElementTransform=function(t,e){var i=x(t,e);null==this._initialTransform&&(this._initialTransform=this._rootElement.style.transform||""),this._rootElement.style.transform=this._initialTransform?i+" "+this._initialTransform:i},t.prototype._getDragDistance=function(t){var e=this._pickupPositionOnPage;return e?{x:t.x-e.x,y:t.y-e.y}:{x:0,y:0}},t.prototype._cleanupCachedDimensions=function(){this._boundaryRect=this._previewRect=void 0,this._parentPositions.clear()},t.prototype._containInsideBoundaryOnResize=function(){var t=this._passiveTransform,e=t.x,i=t.y;if(!(0===e&&0===i||this.isDragging())&&this._boundaryElement){var r=this._boundaryElement.getBoundingClientRect(),n=this._rootElement.getBoundingClientRect();if(!(0===r.width&&0===r.height||0===n.width&&0===n.height)){var o=r.left-n.left,s=n.right-r.right,a=r.top-n.top,c=n.bottom-r.bottom;r.width>n.width?(o>0&&(e+=o),s>0&&(e-=s)):e=0,r.height>n.height?(a>0&&(i+=a),c>0&&(i-=c)):i=0,e===this._passiveTransform.x&&i===this._passiveTransform.y||this.setFreeDragPosition({y:i,x:e})}}},t.prototype._getDragStartDelay=function(t){var e=this.dragStartDelay;return"number"==typeof e?e:k(t)?e.touch:e?e.mouse:0},t.prototype._updateOnScroll=function(t){var e=this._parentPositions.handleScroll(t);if(e){var i=t.target;this._boundaryRect&&(i===this._document||i!==this._boundaryElement&&i.contains(this._boundaryElement))&&f(this._boundaryRect,e.top,e.left),this._pickupPositionOnPage.x+=e.left,this._pickupPositionOnPage.y+=e.top,this._dropContainer||(this._activeTransform.x-=e.left,this._activeTransform.y-=e.top,this._applyRootElementTransform(this._activeTransform.x,this._activeTransform.y))}},t.prototype._getViewportScrollPosition=function(){var t=this._parentPositions.positions.get(this._document);return t?t.scrollPosition:this._viewportRuler.getViewportScrollPosition()},t.prototype._getShadowRoot=function(){return void 0===this._cachedShadowRoot&&(this._cachedShadowRoot=n._getShadowRoot(this._rootElement)),this._cachedShadowRoot},t.prototype._getPreviewInsertionPoint=function(t,e){var i=this._previewContainer||"global";if("parent"===i)return t;if("global"===i){var r=this._document;return e||r.fullscreenElement||r.webkitFullscreenElement||r.mozFullScreenElement||r.msFullscreenElement||r.body}return o.coerceElement(i)},t}();function x(t,e){return"translate3d("+Math.round(t)+"px, "+Math.round(e)+"px, 0)"}function I(t,e,i){return Math.max(e,Math.min(i,t))}function C(t){t&&t.parentNode&&t.parentNode.removeChild(t)}function k(t){return"t"===t.type[0]}function T(t,e){var i=t.rootNodes;if(1===i.length&&i[0].nodeType===e.ELEMENT_NODE)return i[0];var r=e.createElement("div");return i.forEach((function(t){return r.appendChild(t)})),r}function O(t,e){t.style.width=e.width+"px",t.style.height=e.height+"px",t.style.transform=x(e.left,e.top)}
+     */function C(t){var e=t.cloneNode(!0),i=e.querySelectorAll("[id]"),n=t.nodeName.toLowerCase();e.removeAttribute("id");for(var r=0;r<i.length;r++)i[r].removeAttribute("id");return"canvas"===n?A(t,e):"input"!==n&&"select"!==n&&"textarea"!==n||L(t,e),T("canvas",t,e,A),T("input, textarea, select",t,e,L),e}function T(t,e,i,n){var r=e.querySelectorAll(t);if(r.length)for(var o=i.querySelectorAll(t),s=0;s<r.length;s++)n(r[s],o[s])}var O=0;function L(t,e){"file"!==e.type&&(e.value=t.value),"radio"===e.type&&e.name&&(e.name="mat-clone-"+e.name+"-"+O++)}function A(t,e){var i=e.getContext("2d");if(i)try{i.drawImage(t,0,0)}catch(t){}}
+/**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */function z(t,e){var i;try{i=t(e)}catch(t){return Promise.resolve()}return Promise.resolve(i).then((function(){}),(function(){}))}
 /*! *****************************************************************************
     Copyright (c) Microsoft Corporation.
 
@@ -54,7 +61,51 @@
     LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION OF CONTRACT, NEGLIGENCE OR
     OTHER TORTIOUS ACTION, ARISING OUT OF OR IN CONNECTION WITH THE USE OR
     PERFORMANCE OF THIS SOFTWARE.
-    ***************************************************************************** */function L(t,e){var i="function"==typeof Symbol&&t[Symbol.iterator];if(!i)return t;var r,n,o=i.call(t),s=[];try{for(;(void 0===e||e-- >0)&&!(r=o.next()).done;)s.push(r.value)}catch(t){n={error:t}}finally{try{r&&!r.done&&(i=o.return)&&i.call(o)}finally{if(n)throw n.error}}return s}function A(){for(var t=[],e=0;e<arguments.length;e++)t=t.concat(L(arguments[e]));return t}
+    ***************************************************************************** */function N(t){var e="function"==typeof Symbol&&Symbol.iterator,i=e&&t[e],n=0;if(i)return i.call(t);if(t&&"number"==typeof t.length)return{next:function(){return t&&n>=t.length&&(t=void 0),{value:t&&t[n++],done:!t}}};throw new TypeError(e?"Object is not iterable.":"Symbol.iterator is not defined.")}function M(t,e){var i="function"==typeof Symbol&&t[Symbol.iterator];if(!i)return t;var n,r,o=i.call(t),s=[];try{for(;(void 0===e||e-- >0)&&!(n=o.next()).done;)s.push(n.value)}catch(t){r={error:t}}finally{try{n&&!n.done&&(i=o.return)&&i.call(o)}finally{if(r)throw r.error}}return s}function j(){for(var t=[],e=0;e<arguments.length;e++)t=t.concat(M(arguments[e]));return t}
+/**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+var H={move:"",copy:"copy",link:"alias",none:"no-drop"};function F(t,e){var i,n;try{for(var r=N(t),o=r.next();!o.done;o=r.next()){var s=o.value,a=Array.isArray(s.kinds)?s.kinds:[s.kinds];if(a.indexOf("*")>-1||a.some((function(t){return e.indexOf(t)>-1})))return s.effect||"move"}}catch(t){i={error:t}}finally{try{o&&!o.done&&(n=r.return)&&n.call(r)}finally{if(i)throw i.error}}return"none"}
+/**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */function K(t){return Math.max(1,Math.round(t*t*20))}function B(t,e){t===window?t.scrollBy(0,e):t.scrollTop+=e}function W(t,e){t===window?t.scrollBy(e,0):t.scrollLeft+=e}function V(t,e,i,n){return i<t?i-t:n>e?Math.min(n-e,i-t):0}function Z(t,e,i,n,r,o){return n<=0||o&&!w(t,e,i)?{x:0,y:0}:{x:G(e-t.left,t.right-e,n,r,o?o.scrollLeft:null,o?o.scrollWidth-o.clientWidth:null),y:G(i-t.top,t.bottom-i,n,r,o?o.scrollTop:null,o?o.scrollHeight-o.clientHeight:null)}}function G(t,e,i,n,r,o){return t<i&&t<=e?null===r||r>0?-n(U(t,i)):0:e<i&&(null===r||r<o)?n(U(e,i)):0}function U(t,e){return Math.min(1,Math.max(0,1-t/e))}
+/**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */var q=r.normalizePassiveListenerOptions({passive:!0}),Y=r.normalizePassiveListenerOptions({passive:!1}),X=function(){function t(t,e,i,n,r,o){var l=this;this._config=e,this._document=i,this._ngZone=n,this._viewportRuler=r,this._dragDropRegistry=o,this._passiveTransform={x:0,y:0},this._activeTransform={x:0,y:0},this._multiDragItems=[],this._multiDragSource=null,this._moveEvents=new a.Subject,this._dropEffect="move",this._pointerMoveSubscription=a.Subscription.EMPTY,this._pointerUpSubscription=a.Subscription.EMPTY,this._scrollSubscription=a.Subscription.EMPTY,this._resizeSubscription=a.Subscription.EMPTY,this._boundaryElement=null,this._nativeInteractionsEnabled=!0,this._handles=[],this._disabledHandles=new Set,this._direction="ltr",this._nativeDragData=null,this._hasSetNativeDraggable=!1,this._registeredDocument=null,this._isKeyboardDragging=!1,this._keyboardDragOrigin=null,this._keyboardInitialSortIndex=-1,this._scrollableParents=[],this._autoScrollNode=null,this._autoScrollVelocity={x:0,y:0},this._stopAutoScrollTimers=new a.Subject,this.dragStartDelay=0,this.autoScrollDisabled=!0,this.autoScrollThreshold=50,this.autoScrollSpeed=K,this.animationFn=null,this.keyboardDraggingEnabled=!1,this._disabled=!1,this.beforeStarted=new a.Subject,this.started=new a.Subject,this.released=new a.Subject,this.ended=new a.Subject,this.entered=new a.Subject,this.exited=new a.Subject,this.keyboardAction=new a.Subject,this.nativeDragStarted=new a.Subject,this.nativeDragEnded=new a.Subject,this.dropEffectChanged=new a.Subject,this.animationDone=new a.Subject,this.dropped=new a.Subject,this.moved=this._moveEvents,this.kinds=[],this._startAutoScrollInterval=function(){a.interval(0,a.animationFrameScheduler).pipe(c.takeUntil(l._stopAutoScrollTimers)).subscribe((function(){var t=l._autoScrollNode,e=l._autoScrollVelocity,i=e.x,n=e.y;t&&(n&&B(t,n),i&&W(t,i))}))},this._pointerDown=function(t){if(l.beforeStarted.next(),l._handles.length){var e=l._handles.find((function(e){var i=t.target;return!!i&&(i===e||e.contains(i))}));!e||l._disabledHandles.has(e)||l.disabled||l._initializeDragSequence(e,t)}else l.disabled||l._initializeDragSequence(l._rootElement,t)},this._nativeDragStart=function(t){var e=l._nativeDragData;if(e&&t.target===l._rootElement&&t.dataTransfer)if(l.disabled)t.preventDefault();else{var i=t.dataTransfer;Object.keys(e).forEach((function(t){return i.setData(t,e[t])})),i.effectAllowed="copyMove",l._ngZone.run((function(){return l.nativeDragStarted.next({source:l,event:t})}))}},this._nativeDragEnd=function(t){if(l._nativeDragData&&t.target===l._rootElement){var e=t.dataTransfer?t.dataTransfer.dropEffect:"none";l._ngZone.run((function(){return l.nativeDragEnded.next({source:l,dropEffect:e,event:t})}))}},this._click=function(t){if(l._dropContainer&&!l._hasStartedDragging&&!l.disabled){var e=l._dropContainer;l._ngZone.run((function(){return e._handleItemClick(l,t)}))}},this._keydown=function(t){var e=t.keyCode,i=l._dropContainer;e!==s.SPACE&&e!==s.ENTER||s.hasModifierKey(t)||!i||!l.keyboardDraggingEnabled||l.disabled||l.isDragging()||l._isKeyboardDragging||i.isDragging()||i.isReceiving()||!l._isKeyboardDragTarget(t.target)||(t.preventDefault(),l._ngZone.run((function(){return l._startKeyboardDragSequence(t)})))},this._keyboardDragKeydown=function(t){var e;switch(t.keyCode){case s.UP_ARROW:e=function(){return l._moveWithKeyboard("up")};break;case s.DOWN_ARROW:e=function(){return l._moveWithKeyboard("down")};break;case s.LEFT_ARROW:e=function(){return l._moveWithKeyboard("left")};break;case s.RIGHT_ARROW:e=function(){return l._moveWithKeyboard("right")};break;case s.SPACE:case s.ENTER:e=function(){return l._endKeyboardDragSequence(!1)};break;case s.ESCAPE:e=function(){return l._endKeyboardDragSequence(!0)};break;case s.TAB:e=function(){}}e&&!s.hasModifierKey(t)&&(t.preventDefault(),t.stopPropagation(),l._ngZone.run(e))},this._pointerMove=function(t){var e=l._getPointerPositionOnPage(t);if(l._hasStartedDragging){l._boundaryElement&&(l._previewRect&&(l._previewRect.width||l._previewRect.height)||(l._previewRect=I(l._preview||l._rootElement,l._document))),t.preventDefault();var i=l._getConstrainedPointerPosition(e);if(l._hasMoved=!0,l._lastKnownPointerPosition=e,l._updatePointerDirectionDelta(i),l._dropContainer)l._updateActiveDropContainer(i,e);else{var n=l._activeTransform;if(n.x=i.x-l._pickupPositionOnPage.x+l._passiveTransform.x,n.y=i.y-l._pickupPositionOnPage.y+l._passiveTransform.y,l.constrainFreeDragPosition){var r=l.constrainFreeDragPosition(Object.assign({},n),l),o=r.y;n.x=r.x,n.y=o}l._applyRootElementTransform(n.x,n.y),"undefined"!=typeof SVGElement&&l._rootElement instanceof SVGElement&&l._rootElement.setAttribute("transform","translate("+n.x+" "+n.y+")"),l._startAutoScrollIfNecessary(e.x,e.y)}l._moveEvents.observers.length&&l._ngZone.run((function(){l._moveEvents.next({source:l,pointerPosition:i,event:t,distance:l._getDragDistance(i),delta:l._pointerDirectionDelta,level:l._dropContainer?l._initialContainer._getContainerLevel(l._dropContainer):0})}))}else if(Math.abs(e.x-l._pickupPositionOnPage.x)+Math.abs(e.y-l._pickupPositionOnPage.y)>=l._config.dragStartThreshold){var s=Date.now()>=l._dragStartTime+l._getDragStartDelay(t),a=l._dropContainer;if(!s)return void l._endDragSequence(t);a&&(a.isDragging()||a.isReceiving())||(t.preventDefault(),l._hasStartedDragging=!0,l._ngZone.run((function(){return l._startDragSequence(t)})))}},this._pointerUp=function(t){l._endDragSequence(t)},this.withRootElement(t).withParent(e.parentDragRef||null),this._parentPositions=new k(i,r),o.registerDragItem(this)}return Object.defineProperty(t.prototype,"disabled",{get:function(){return this._disabled||!(!this._dropContainer||!this._dropContainer.disabled)},set:function(t){var e=o.coerceBooleanProperty(t);e!==this._disabled&&(this._disabled=e,this._toggleNativeDragInteractions(),this._handles.forEach((function(t){return u(t,e)})))},enumerable:!1,configurable:!0}),t.prototype.getPlaceholderElement=function(){return this._placeholder},t.prototype.getRootElement=function(){return this._rootElement},t.prototype.getVisibleElement=function(){return this.isDragging()?this.getPlaceholderElement():this.getRootElement()},t.prototype.isSelected=function(){return!!this._dropContainer&&this._dropContainer.isItemSelected(this)},t.prototype.withHandles=function(t){var e=this;this._handles=t.map((function(t){return o.coerceElement(t)})),this._handles.forEach((function(t){return u(t,e.disabled)})),this._toggleNativeDragInteractions();var i=new Set;return this._disabledHandles.forEach((function(t){e._handles.indexOf(t)>-1&&i.add(t)})),this._disabledHandles=i,this},t.prototype.withPreviewTemplate=function(t){return this._previewTemplate=t,this},t.prototype.withPlaceholderTemplate=function(t){return this._placeholderTemplate=t,this},t.prototype.withRootElement=function(t){var e=this,i=o.coerceElement(t);return i!==this._rootElement&&(this._rootElement&&this._removeRootElementListeners(this._rootElement),this._ngZone.runOutsideAngular((function(){i.addEventListener("mousedown",e._pointerDown,Y),i.addEventListener("touchstart",e._pointerDown,q),i.addEventListener("click",e._click),i.addEventListener("keydown",e._keydown),i.addEventListener("dragstart",e._nativeDragStart),i.addEventListener("dragend",e._nativeDragEnd)})),this._initialTransform=void 0,this._rootElement=i,this._syncNativeDraggable()),"undefined"!=typeof SVGElement&&this._rootElement instanceof SVGElement&&(this._ownerSVGElement=this._rootElement.ownerSVGElement),this},t.prototype.withBoundaryElement=function(t){var e=this;return this._boundaryElement=t?o.coerceElement(t):null,this._resizeSubscription.unsubscribe(),t&&(this._resizeSubscription=this._viewportRuler.change(10).subscribe((function(){return e._containInsideBoundaryOnResize()}))),this},t.prototype.withParent=function(t){return this._parentDragRef=t,this},t.prototype.dispose=function(){this._removeRootElementListeners(this._rootElement),(this.isDragging()||this._multiDragSource)&&Q(this._rootElement),Q(this._anchor),this._resetDropEffect(),this._destroyPreview(),this._destroyPlaceholder(),this._dragDropRegistry.removeDragItem(this),this._removeSubscriptions(),this._registeredDocument&&(this._dragDropRegistry.removeDocument(this._registeredDocument),this._registeredDocument=null),this.beforeStarted.complete(),this.started.complete(),this.released.complete(),this.ended.complete(),this.entered.complete(),this.exited.complete(),this.dropped.complete(),this.keyboardAction.complete(),this.nativeDragStarted.complete(),this.nativeDragEnded.complete(),this.animationDone.complete(),this.dropEffectChanged.complete(),this._moveEvents.complete(),this._handles=[],this._disabledHandles.clear(),this._dropContainer=void 0,this._resizeSubscription.unsubscribe(),this._stopAutoScrollTimers.complete(),this._scrollableParents=[],this._parentPositions.clear(),this._multiDragItems=[],this._boundaryElement=this._rootElement=this._ownerSVGElement=this._placeholderTemplate=this._previewTemplate=this._anchor=this._parentDragRef=this._multiDragSource=null},t.prototype.isKeyboardDragging=function(){return this._isKeyboardDragging&&this.isDragging()},t.prototype.isDragging=function(){return this._hasStartedDragging&&this._dragDropRegistry.isDragging(this)},t.prototype.reset=function(){this._rootElement.style.transform=this._initialTransform||"",this._activeTransform={x:0,y:0},this._passiveTransform={x:0,y:0}},t.prototype.disableHandle=function(t){!this._disabledHandles.has(t)&&this._handles.indexOf(t)>-1&&(this._disabledHandles.add(t),u(t,!0))},t.prototype.enableHandle=function(t){this._disabledHandles.has(t)&&(this._disabledHandles.delete(t),u(t,this.disabled))},t.prototype.withDirection=function(t){return this._direction=t,this},t.prototype.withScrollableParents=function(t){return this._scrollableParents=t.slice(),this},t.prototype.getScrollableParents=function(){return this._scrollableParents},t.prototype._withDropContainer=function(t){this._dropContainer=t},t.prototype.getFreeDragPosition=function(){var t=this.isDragging()?this._activeTransform:this._passiveTransform;return{x:t.x,y:t.y}},t.prototype.setFreeDragPosition=function(t){return this._activeTransform={x:0,y:0},this._passiveTransform.x=t.x,this._passiveTransform.y=t.y,this._dropContainer||this._applyRootElementTransform(t.x,t.y),this},t.prototype.withPreviewContainer=function(t){return this._previewContainer=t,this},t.prototype.withNativeDragData=function(t){return this._nativeDragData=t,this._syncNativeDraggable(),this},t.prototype._sortFromLastPointerPosition=function(){if(this._isKeyboardDragging)this._syncKeyboardDragPosition();else{var t=this._lastKnownPointerPosition;t&&this._dropContainer&&this._updateActiveDropContainer(this._getConstrainedPointerPosition(t),t)}},t.prototype._detachForMultiDrag=function(t){var e=this._rootElement,i=this._anchor=this._anchor||this._document.createComment("");this._multiDragSource=t,e.parentNode.insertBefore(i,e),g(e,!1),this._getRootDocument().body.appendChild(e)},t.prototype._restoreAfterMultiDrag=function(){g(this._rootElement,!0),this._anchor.parentNode.replaceChild(this._rootElement,this._anchor),this._multiDragSource=null},t.prototype._removeSubscriptions=function(){this._pointerMoveSubscription.unsubscribe(),this._pointerUpSubscription.unsubscribe(),this._scrollSubscription.unsubscribe(),this._getRootDocument().removeEventListener("keydown",this._keyboardDragKeydown,!0),this._stopAutoScrolling()},t.prototype._startAutoScrollIfNecessary=function(t,e){var i=this;if(!this.autoScrollDisabled){var n,r=this.autoScrollThreshold,o=this.autoScrollSpeed,s={x:0,y:0};if(this._parentPositions.positions.forEach((function(a,c){if(c!==i._document&&a.clientRect&&!n){var l=Z(a.clientRect,t,e,r,o,c);(l.x||l.y)&&(n=c,s=l)}})),!n){var a=this._viewportRuler.getViewportSize(),c=a.width,l=a.height;s=Z({width:c,height:l,top:0,right:c,bottom:l,left:0},t,e,r,o),n=window}if(s.x||s.y){var h=!!this._autoScrollNode;this._autoScrollNode=n,this._autoScrollVelocity=s,h||this._ngZone.runOutsideAngular(this._startAutoScrollInterval)}else this._stopAutoScrolling()}},t.prototype._stopAutoScrolling=function(){this._stopAutoScrollTimers.next(),this._autoScrollNode=null},t.prototype._destroyPreview=function(){this._preview&&Q(this._preview),this._previewRef&&this._previewRef.destroy(),this._preview=this._previewRef=null},t.prototype._destroyPlaceholder=function(){this._placeholder&&Q(this._placeholder),this._placeholderRef&&this._placeholderRef.destroy(),this._placeholder=this._placeholderRef=null},t.prototype._endDragSequence=function(t){var e=this;this._dragDropRegistry.isDragging(this)&&(this._removeSubscriptions(),this._dragDropRegistry.stopDragging(this),this._toggleNativeDragInteractions(),this._resetDropEffect(),this._handles&&(this._rootElement.style.webkitTapHighlightColor=this._rootElementTapHighlight),this._hasStartedDragging&&(this.released.next({source:this}),this._dropContainer?(this._dropContainer._stopScrolling(),this._animatePreviewToPlaceholder().then((function(){e._cleanupDragArtifacts(e._getPointerPositionOnPage(t)),e._cleanupCachedDimensions(),e._dragDropRegistry.stopDragging(e)}))):(this._passiveTransform.x=this._activeTransform.x,this._passiveTransform.y=this._activeTransform.y,this._ngZone.run((function(){e.ended.next({source:e,distance:e._getDragDistance(e._getPointerPositionOnPage(t))})})),this._cleanupCachedDimensions(),this._dragDropRegistry.stopDragging(this))))},t.prototype._startDragSequence=function(t){var e=this;tt(t)&&(this._lastTouchEventTime=Date.now()),this._toggleNativeDragInteractions();var i=this._dropContainer;if(i){var n=this._rootElement,r=n.parentNode,o=this._multiDragItems=i._getMultiDragItems(this),s=this._preview=this._createPreviewElement(),a=this._placeholder=this._createPlaceholderElement(),c=this._anchor=this._anchor||this._document.createComment(""),l=this._getShadowRoot();r.insertBefore(c,n),o.forEach((function(t){return t!==e&&t._detachForMultiDrag(e)})),g(n,!1),this._getRootDocument().body.appendChild(r.replaceChild(a,n)),this._getPreviewInsertionPoint(r,l).appendChild(s),this.started.next({source:this}),i.start(),this._initialContainer=i,this._dropEffect="move",s.classList.add("cdk-drag-effect-move"),o.length>1?(o.sort((function(t,e){return i._getDraggableIndex(t)-i._getDraggableIndex(e)})),this._initialIndex=i._getDraggableIndex(this),this._initialIndices=o.map((function(t){return i._getDraggableIndex(t)}))):(this._initialIndex=i.getItemIndex(this),this._initialIndices=[this._initialIndex])}else this.started.next({source:this}),this._initialContainer=this._initialIndex=this._initialIndices=void 0;this._parentPositions.cache(i?i.getScrollableParents():this._scrollableParents)},t.prototype._initializeDragSequence=function(t,e){var i=this;if(this._parentDragRef&&e.stopPropagation(),!this._nativeDragData){var n=this.isDragging(),r=tt(e),o=!r&&0!==e.button,s=this._rootElement,a=!r&&this._lastTouchEventTime&&this._lastTouchEventTime+800>Date.now();if(e.target&&e.target.draggable&&"mousedown"===e.type&&e.preventDefault(),!(n||o||a)){this._handles.length&&(this._rootElementTapHighlight=s.style.webkitTapHighlightColor||"",s.style.webkitTapHighlightColor="transparent"),this._hasStartedDragging=this._hasMoved=!1,this._removeSubscriptions(),this._pointerMoveSubscription=this._dragDropRegistry.pointerMove.subscribe(this._pointerMove),this._pointerUpSubscription=this._dragDropRegistry.pointerUp.subscribe(this._pointerUp),this._scrollSubscription=this._dragDropRegistry.scroll.subscribe((function(t){i._updateOnScroll(t)})),this._boundaryElement&&(this._boundaryRect=I(this._boundaryElement,this._document));var c=this._previewTemplate;this._pickupPositionInElement=c&&c.template&&!c.matchSize?{x:0,y:0}:this._getPointerPositionInElement(t,e);var l=this._pickupPositionOnPage=this._lastKnownPointerPosition=this._getPointerPositionOnPage(e);this._pointerDirectionDelta={x:0,y:0},this._pointerPositionAtLastDirectionChange={x:l.x,y:l.y},this._dragStartTime=Date.now(),this._registerRootDocument(),this._dragDropRegistry.startDragging(this,e)}}},t.prototype._cleanupDragArtifacts=function(t){var e=this;g(this._rootElement,!0),this._anchor.parentNode.replaceChild(this._rootElement,this._anchor);var i=this._multiDragItems;i.forEach((function(t){return t!==e&&t._restoreAfterMultiDrag()})),this._multiDragItems=[],this._destroyPreview(),this._destroyPlaceholder(),this._boundaryRect=this._previewRect=void 0,this._ngZone.run((function(){var n=e._dropContainer,r=n.getItemIndex(e),o=e._getDragDistance(t),s=n._isOverContainer(t.x,t.y),a=i.length?i:[e];e.ended.next({source:e,distance:o}),e.dropped.next({item:e,items:a,currentIndex:r,previousIndex:e._initialIndex,previousIndices:e._initialIndices,container:n,previousContainer:e._initialContainer,isPointerOverContainer:s,distance:o,dropEffect:n.getDropEffect(e)}),n.drop(e,r,e._initialIndex,e._initialContainer,s,o,a,e._initialIndices),e._dropContainer=e._initialContainer}))},t.prototype._updateActiveDropContainer=function(t,e){var i=this,n=t.x,r=t.y,o=e.x,s=e.y,a=this._initialContainer._getSiblingContainerFromPosition(this,n,r);!a&&this._dropContainer!==this._initialContainer&&this._initialContainer._isOverContainer(n,r)&&(a=this._initialContainer),a&&a!==this._dropContainer&&this._ngZone.run((function(){return i._moveToContainer(a,n,r)}));var c=a?void 0:this._initialContainer._getRefusingSiblingFromPosition(n,r);this._updateDropEffect(c||this._dropContainer),this._dropContainer._startScrollingIfNecessary(o,s),this._dropContainer._sortItem(this,n,r,this._pointerDirectionDelta),this._preview.style.transform=$(n-this._pickupPositionInElement.x,r-this._pickupPositionInElement.y)},t.prototype._updateDropEffect=function(t){var e=t.getDropEffect(this),i=this._dropEffect;if(e!==i){var n=this._preview.classList;n.remove("cdk-drag-effect-"+i),n.add("cdk-drag-effect-"+e);var r=this._document.body.classList;r.remove("cdk-drag-drop-effect-"+i),H[e]&&r.add("cdk-drag-drop-effect-"+e),this._dropEffect=e,this.dropEffectChanged.next({source:this,container:t,effect:e})}},t.prototype._resetDropEffect=function(){H[this._dropEffect]&&this._document.body.classList.remove("cdk-drag-drop-effect-"+this._dropEffect)},t.prototype._moveToContainer=function(t,e,i,n){null==n&&t===this._initialContainer&&t.sortingDisabled&&(n=this._initialIndex);var r=this.animationFn?this._placeholder.getBoundingClientRect():null;if(this.exited.next({item:this,container:this._dropContainer}),this._dropContainer.exit(this),this._dropContainer=t,t.enter(this,e,i,n),this._updateDropEffect(t),r){var o=this._placeholder.getBoundingClientRect();this._runAnimation({type:"enter",element:this._placeholder,item:this,from:{x:r.left-o.left,y:r.top-o.top},to:{x:0,y:0}})}this.entered.next({item:this,container:t,currentIndex:t.getItemIndex(this)})},t.prototype._isKeyboardDragTarget=function(t){return this._handles.length?this._handles.indexOf(t)>-1&&!this._disabledHandles.has(t):t===this._rootElement},t.prototype._startKeyboardDragSequence=function(t){var e=this;if(this.beforeStarted.next(),!this.disabled){var i=this._dropContainer,n=I(this._rootElement,this._document),r={x:n.left+n.width/2,y:n.top+n.height/2};this._isKeyboardDragging=!0,this._keyboardDragOrigin=t.target,this._hasStartedDragging=!0,this._hasMoved=!1;var o=this._previewTemplate;this._pickupPositionInElement=o&&o.template&&!o.matchSize?{x:0,y:0}:{x:n.width/2,y:n.height/2},this._pickupPositionOnPage=this._lastKnownPointerPosition=r,this._pointerDirectionDelta={x:0,y:0},this._pointerPositionAtLastDirectionChange={x:r.x,y:r.y},this._dragStartTime=Date.now(),this._removeSubscriptions(),this._scrollSubscription=this._dragDropRegistry.scroll.subscribe((function(t){e._updateOnScroll(t)})),this._ngZone.runOutsideAngular((function(){e._getRootDocument().addEventListener("keydown",e._keyboardDragKeydown,!0)})),this._registerRootDocument(),this._dragDropRegistry.startDragging(this,t),this._startDragSequence(t),this._keyboardInitialSortIndex=i._getSortIndex(this),this._emitKeyboardAction("started")}},t.prototype._moveWithKeyboard=function(t){var e=this._dropContainer,i=e._getKeyboardSortIndex(this,t);if(i>-1)e._sortItemToIndex(this,i);else{var n=I(this._placeholder,this._document),r=this._initialContainer._getSiblingContainerInDirection(this,e,n,t);if(!r)return;var s=I(o.coerceElement(r.element),this._document),a=J(n.left+n.width/2,s.left+1,s.right-1),c=J(n.top+n.height/2,s.top+1,s.bottom-1);this._moveToContainer(r,"left"===t?s.right-1:"right"===t?s.left+1:a,"up"===t?s.bottom-1:"down"===t?s.top+1:c)}this._hasMoved=!0,this._dropContainer._scrollIntoView(this._placeholder),this._syncKeyboardDragPosition(),this._emitKeyboardAction("moved")},t.prototype._endKeyboardDragSequence=function(t){var e=this;if(this.isKeyboardDragging()){if(t){var i=this._initialContainer;if(this._dropContainer!==i){var n=I(o.coerceElement(i.element),this._document);this._moveToContainer(i,n.left+1,n.top+1,i._getDraggableIndex(this))}i._getSortIndex(this)!==this._keyboardInitialSortIndex&&i._sortItemToIndex(this,this._keyboardInitialSortIndex),i._scrollIntoView(this._placeholder),this._syncKeyboardDragPosition()}var r=this._dropContainer,s=r.getItemIndex(this),a=this._lastKnownPointerPosition,c=this._keyboardDragOrigin;this._removeSubscriptions(),this._dragDropRegistry.stopDragging(this),this._toggleNativeDragInteractions(),this._resetDropEffect(),this.released.next({source:this}),r._stopScrolling(),this._animatePreviewToPlaceholder().then((function(){e._cleanupDragArtifacts(a),e._cleanupCachedDimensions(),e._isKeyboardDragging=!1,e._keyboardDragOrigin=null,e._emitKeyboardAction(t?"cancelled":"dropped",r,s),c&&"function"==typeof c.focus&&c.focus()}))}},t.prototype._syncKeyboardDragPosition=function(){var t=I(this._placeholder,this._document),e=this._lastKnownPointerPosition={x:t.left+t.width/2,y:t.top+t.height/2};this._preview.style.transform=$(e.x-this._pickupPositionInElement.x,e.y-this._pickupPositionInElement.y)},t.prototype._emitKeyboardAction=function(t,e,i){void 0===e&&(e=this._dropContainer),void 0===i&&(i=e.getItemIndex(this)),this.keyboardAction.next({source:this,action:t,container:e,currentIndex:i})},t.prototype._createPreviewElement=function(){var t,e=this._previewTemplate,i=this.previewClass,n=e?e.template:null;if(n&&e){var r=e.matchSize?this._rootElement.getBoundingClientRect():null,o=e.viewContainer.createEmbeddedView(n,e.context);o.detectChanges(),t=et(o,this._document),this._previewRef=o,e.matchSize?it(t,r):t.style.transform=$(this._pickupPositionOnPage.x,this._pickupPositionOnPage.y)}else{var s=this._rootElement;it(t=C(s),s.getBoundingClientRect())}return p(t.style,{pointerEvents:"none",margin:"0",position:"fixed",top:"0",left:"0",zIndex:""+(this._config.zIndex||1e3)}),u(t,!1),t.classList.add("cdk-drag-preview"),t.setAttribute("dir",this._direction),i&&(Array.isArray(i)?i.forEach((function(e){return t.classList.add(e)})):t.classList.add(i)),this._multiDragItems.length>1&&this._addMultiDragItemsToPreview(t),t},t.prototype._addMultiDragItemsToPreview=function(t){var e=this,i=0;t.classList.add("cdk-drag-preview-multiple"),this._multiDragItems.forEach((function(n){if(n!==e){var r=n.getRootElement(),o=C(r);i+=4,it(o,r.getBoundingClientRect()),p(o.style,{pointerEvents:"none",margin:"0",position:"absolute",top:"0",left:"0",zIndex:"-1",transform:$(i,i)}),o.classList.add("cdk-drag-preview-stacked-item"),t.appendChild(o)}}))},t.prototype._animatePreviewToPlaceholder=function(){var t=this;if(!this._hasMoved)return Promise.resolve();var e=I(this._placeholder,this._document);if(this.animationFn){var i=this._preview.getBoundingClientRect();return this._preview.style.transform=$(e.left,e.top),this._runAnimation({type:"return",element:this._preview,item:this,from:{x:i.left,y:i.top},to:{x:e.left,y:e.top}})}this._preview.classList.add("cdk-drag-animating"),this._preview.style.transform=$(e.left,e.top);var n=f(this._preview),r=this._preview;return this._ngZone.runOutsideAngular((function(){return v(r,n).then((function(){t.animationDone.next({source:t,type:"return",element:r})}))}))},t.prototype._runAnimation=function(t){var e=this;return this._ngZone.runOutsideAngular((function(){return z(e.animationFn,t).then((function(){e.animationDone.next({source:e,type:t.type,element:t.element})}))}))},t.prototype._createPlaceholderElement=function(){var t,e=this._placeholderTemplate,i=e?e.template:null;return i?(this._placeholderRef=e.viewContainer.createEmbeddedView(i,e.context),this._placeholderRef.detectChanges(),t=et(this._placeholderRef,this._document)):t=C(this._rootElement),t.classList.add("cdk-drag-placeholder"),t},t.prototype._getPointerPositionInElement=function(t,e){var i,n,r=this._rootElement.getBoundingClientRect(),o=t===this._rootElement?null:t,s=o?o.getBoundingClientRect():r,a=tt(e)?e.targetTouches[0]:e;if(this._isEventFromFrame(e))i=a.clientX-s.left,n=a.clientY-s.top;else{var c=this._getViewportScrollPosition();i=a.pageX-s.left-c.left,n=a.pageY-s.top-c.top}return{x:s.left-r.left+i,y:s.top-r.top+n}},t.prototype._isEventFromFrame=function(t){var e=b(t);return!!e&&e!==this._document},t.prototype._getPointerPositionOnPage=function(t){var e,i,n=this._getViewportScrollPosition(),r=tt(t)?t.touches[0]||t.changedTouches[0]||{pageX:0,pageY:0,clientX:0,clientY:0}:t;if(this._isEventFromFrame(t)){var o=y(b(t),this._document);e=r.clientX+o.x,i=r.clientY+o.y}else e=r.pageX-n.left,i=r.pageY-n.top;if(this._ownerSVGElement){var s=this._ownerSVGElement.getScreenCTM();if(s){var a=this._ownerSVGElement.createSVGPoint();return a.x=e,a.y=i,a.matrixTransform(s.inverse())}}return{x:e,y:i}},t.prototype._getConstrainedPointerPosition=function(t){var e=this._dropContainer?this._dropContainer.lockAxis:null,i=this.constrainPosition?this.constrainPosition(t,this):t,n=i.x,r=i.y;if("x"===this.lockAxis||"x"===e?r=this._pickupPositionOnPage.y:"y"!==this.lockAxis&&"y"!==e||(n=this._pickupPositionOnPage.x),this._boundaryRect){var o=this._pickupPositionInElement,s=o.x,a=o.y,c=this._boundaryRect,l=this._previewRect,h=c.top+a,d=c.bottom-(l.height-a);n=J(n,c.left+s,c.right-(l.width-s)),r=J(r,h,d)}return{x:n,y:r}},t.prototype._updatePointerDirectionDelta=function(t){var e=t.x,i=t.y,n=this._pointerDirectionDelta,r=this._pointerPositionAtLastDirectionChange,o=Math.abs(e-r.x),s=Math.abs(i-r.y);return o>this._config.pointerDirectionChangeThreshold&&(n.x=e>r.x?1:-1,r.x=e),s>this._config.pointerDirectionChangeThreshold&&(n.y=i>r.y?1:-1,r.y=i),n},t.prototype._toggleNativeDragInteractions=function(){if(this._rootElement&&this._handles){var t=this._handles.length>0||!this.isDragging();t!==this._nativeInteractionsEnabled&&(this._nativeInteractionsEnabled=t,u(this._rootElement,t))}},t.prototype._removeRootElementListeners=function(t){t.removeEventListener("mousedown",this._pointerDown,Y),t.removeEventListener("touchstart",this._pointerDown,q),t.removeEventListener("click",this._click),t.removeEventListener("keydown",this._keydown),t.removeEventListener("dragstart",this._nativeDragStart),t.removeEventListener("dragend",this._nativeDragEnd),this._hasSetNativeDraggable&&(t.removeAttribute("draggable"),this._hasSetNativeDraggable=!1)},t.prototype._syncNativeDraggable=function(){var t=this._rootElement;t&&(this._nativeDragData?(t.setAttribute("draggable","true"),this._hasSetNativeDraggable=!0):this._hasSetNativeDraggable&&(t.removeAttribute("draggable"),this._hasSetNativeDraggable=!1))},t.prototype._applyRootElementTransform=function(t,e){var i=$(t,e);null==this._initialTransform&&(this._initialTransform=this._rootElement.style.transform||""),this._rootElement.style.transform=this._initialTransform?i+" "+this._initialTransform:i},t.prototype._getDragDistance=function(t){var e=this._pickupPositionOnPage;return e?{x:t.x-e.x,y:t.y-e.y}:{x:0,y:0}},t.prototype._cleanupCachedDimensions=function(){this._boundaryRect=this._previewRect=void 0,this._parentPositions.clear()},t.prototype._containInsideBoundaryOnResize=function(){var t=this._passiveTransform,e=t.x,i=t.y;if(!(0===e&&0===i||this.isDragging())&&this._boundaryElement){var n=this._boundaryElement.getBoundingClientRect(),r=this._rootElement.getBoundingClientRect();if(!(0===n.width&&0===n.height||0===r.width&&0===r.height)){var o=n.left-r.left,s=r.right-n.right,a=n.top-r.top,c=r.bottom-n.bottom;n.width>r.width?(o>0&&(e+=o),s>0&&(e-=s)):e=0,n.height>r.height?(a>0&&(i+=a),c>0&&(i-=c)):i=0,e===this._passiveTransform.x&&i===this._passiveTransform.y||this.setFreeDragPosition({y:i,x:e})}}},t.prototype._getDragStartDelay=function(t){var e=this.dragStartDelay;return"number"==typeof e?e:tt(t)?e.touch:e?e.mouse:0},t.prototype._updateOnScroll=function(t){var e=this._parentPositions.handleScroll(t);if(e){var i=t.target;this._boundaryRect&&(i===this._document||i!==this._boundaryElement&&i.contains(this._boundaryElement))&&R(this._boundaryRect,e.top,e.left),this._pickupPositionOnPage.x+=e.left,this._pickupPositionOnPage.y+=e.top,this._dropContainer||(this._activeTransform.x-=e.left,this._activeTransform.y-=e.top,this._applyRootElementTransform(this._activeTransform.x,this._activeTransform.y))}},t.prototype._getViewportScrollPosition=function(){var t=this._parentPositions.positions.get(this._document);return t?t.scrollPosition:this._viewportRuler.getViewportScrollPosition()},t.prototype._getShadowRoot=function(){return void 0===this._cachedShadowRoot&&(this._cachedShadowRoot=r._getShadowRoot(this._rootElement)),this._cachedShadowRoot},t.prototype._getRootDocument=function(){return this._rootElement.ownerDocument||this._document},t.prototype._registerRootDocument=function(){var t=this._getRootDocument();t!==this._registeredDocument&&(this._registeredDocument&&(this._dragDropRegistry.removeDocument(this._registeredDocument),this._registeredDocument=null),t!==this._document&&(this._registeredDocument=t,this._dragDropRegistry.registerDocument(t)))},t.prototype._getPreviewInsertionPoint=function(t,e){var i=this._previewContainer||"global";if("parent"===i)return t;if("global"===i){var n=this._document;return e||n.fullscreenElement||n.webkitFullscreenElement||n.mozFullScreenElement||n.msFullscreenElement||n.body}return o.coerceElement(i)},t}();function $(t,e){return"translate3d("+Math.round(t)+"px, "+Math.round(e)+"px, 0)"}function J(t,e,i){return Math.max(e,Math.min(i,t))}function Q(t){t&&t.parentNode&&t.parentNode.removeChild(t)}function tt(t){return"t"===t.type[0]}function et(t,e){var i=t.rootNodes;if(1===i.length&&i[0].nodeType===e.ELEMENT_NODE)return i[0];var n=e.createElement("div");return i.forEach((function(t){return n.appendChild(t)})),n}function it(t,e){t.style.width=e.width+"px",t.style.height=e.height+"px",t.style.transform=$(e.left,e.top)}
+/**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */function nt(t,e,i){var n=lt(e,t.length-1),r=lt(i,t.length-1);if(n!==r){for(var o=t[n],s=r<n?-1:1,a=n;a!==r;a+=s)t[a]=t[a+s];t[r]=o}}function rt(t,e,i){var n=at(t,e);t.splice.apply(t,j([lt(i,t.length),0],n))}function ot(t,e,i,n){var r=at(t,i);e.splice.apply(e,j([lt(n,e.length),0],r))}function st(t,e,i,n){var r=ct(i,t.length).map((function(e){return t[e]}));e.splice.apply(e,j([lt(n,e.length),0],r))}function at(t,e){for(var i=ct(e,t.length),n=i.map((function(e){return t[e]})),r=i.length-1;r>-1;r--)t.splice(i[r],1);return n}function ct(t,e){return t.filter((function(i,n){return i>-1&&i<e&&t.indexOf(i)===n})).sort((function(t,e){return t-e}))}function lt(t,e){return Math.max(0,Math.min(e,t))}var ht=function(){function t(t,e,i,n,r){var s=this;this._dragDropRegistry=e,this._ngZone=n,this._viewportRuler=r,this.disabled=!1,this.sortingDisabled=!1,this.autoScrollDisabled=!1,this.autoScrollStep=2,this.multiSelect=!1,this.enterPredicate=function(){return!0},this.sortPredicate=function(){return!0},this.acceptRules=null,this.nativeDropsEnabled=!1,this.nativeEnterPredicate=function(){return!0},this.animationFn=null,this.beforeStarted=new a.Subject,this.entered=new a.Subject,this.exited=new a.Subject,this.dropped=new a.Subject,this.sorted=new a.Subject,this.beforeSelectionChanged=new a.Subject,this.selectionChanged=new a.Subject,this.nativeEntered=new a.Subject,this.nativeExited=new a.Subject,this.nativeSorted=new a.Subject,this.nativeDropped=new a.Subject,this.animationDone=new a.Subject,this._isDragging=!1,this._itemPositions=[],this._previousSwap={drag:null,delta:0,overlaps:!1},this._draggables=[],this._siblings=[],this._orientation="vertical",this._activeSiblings=new Set,this._refusedSiblings=new Set,this._direction="ltr",this._viewportScrollSubscription=a.Subscription.EMPTY,this._verticalScrollDirection=0,this._horizontalScrollDirection=0,this._stopScrollTimers=new a.Subject,this._registeredDocument=null,this._initialTransitions=new Map,this._selectedItems=new Set,this._lastSelectedItem=null,this._nativeDropIndex=null,this._nativePlaceholder=null,this._nativeDragDepth=0,this._startScrollInterval=function(){s._stopScrolling(),a.interval(0,a.animationFrameScheduler).pipe(c.takeUntil(s._stopScrollTimers)).subscribe((function(){var t=s._scrollNode,e=s.autoScrollStep;1===s._verticalScrollDirection?B(t,-e):2===s._verticalScrollDirection&&B(t,e),1===s._horizontalScrollDirection?W(t,-e):2===s._horizontalScrollDirection&&W(t,e)}))},this._nativeDragEnter=function(t){s._nativeDragDepth++,s._nativeDragOver(t)},this._nativeDragOver=function(t){if(t.defaultPrevented)null!==s._nativeDropIndex&&s._ngZone.run((function(){return s._exitNativeDrag(t)}));else if(s._canReceiveNativeDrag(t)){t.preventDefault();var e=y(o.coerceElement(s.element),s._document),i=t.clientX+e.x,n=t.clientY+e.y;if(null!==s._nativeDropIndex){var r=s._nativeDropIndex,a=s._getNativeDropIndex(i,n);s._startScrollingIfNecessary(i,n),a!==r&&(s._nativeDropIndex=a,s._moveNativePlaceholder(a),s._ngZone.run((function(){s.nativeSorted.next({container:s,previousIndex:r,currentIndex:a,event:t})})))}else s._ngZone.run((function(){return s._startNativeDrag(t,i,n)}))}},this._nativeDragLeave=function(t){s._nativeDragDepth=Math.max(s._nativeDragDepth-1,0),0===s._nativeDragDepth&&null!==s._nativeDropIndex&&s._ngZone.run((function(){return s._exitNativeDrag(t)}))},this._nativeDrop=function(t){var e=s._nativeDropIndex;null!==e&&!t.defaultPrevented&&t.dataTransfer&&(t.preventDefault(),s._endNativeDrag(),s._ngZone.run((function(){s.nativeDropped.next({container:s,currentIndex:e,dataTransfer:t.dataTransfer,event:t})})))},this.element=o.coerceElement(t),this._document=i,this.withScrollableParents([this.element]),e.registerDropContainer(this),this._parentPositions=new k(i,r),n.runOutsideAngular((function(){var t=s.element;t.addEventListener("dragenter",s._nativeDragEnter),t.addEventListener("dragover",s._nativeDragOver),t.addEventListener("dragleave",s._nativeDragLeave),t.addEventListener("drop",s._nativeDrop)}))}return t.prototype.dispose=function(){var t=o.coerceElement(this.element);t.removeEventListener("dragenter",this._nativeDragEnter),t.removeEventListener("dragover",this._nativeDragOver),t.removeEventListener("dragleave",this._nativeDragLeave),t.removeEventListener("drop",this._nativeDrop),null!==this._nativeDropIndex&&this._endNativeDrag(),this._stopScrolling(),this._stopScrollTimers.complete(),this._viewportScrollSubscription.unsubscribe(),this.beforeStarted.complete(),this.entered.complete(),this.exited.complete(),this.dropped.complete(),this.sorted.complete(),this.beforeSelectionChanged.complete(),this.selectionChanged.complete(),this.nativeEntered.complete(),this.nativeExited.complete(),this.nativeSorted.complete(),this.nativeDropped.complete(),this.animationDone.complete(),this._activeSiblings.clear(),this._refusedSiblings.clear(),this._selectedItems.clear(),this._lastSelectedItem=null,this._scrollNode=null,this._parentPositions.clear(),this._dragDropRegistry.removeDropContainer(this),this._registeredDocument&&(this._dragDropRegistry.removeDocument(this._registeredDocument),this._registeredDocument=null)},t.prototype.isDragging=function(){return this._isDragging},t.prototype.start=function(){this._draggingStarted(),this._notifyReceivingSiblings()},t.prototype.enter=function(t,e,i,n){var r;this._draggingStarted(),null==n?-1===(r=this.sortingDisabled?this._draggables.indexOf(t):-1)&&(r=this._getItemIndexFromPointerPosition(t,e,i)):r=n;var s=this._activeDraggables,a=s.indexOf(t),c=t.getPlaceholderElement(),l=s[r];if(l===t&&(l=s[r+1]),a>-1&&s.splice(a,1),l&&!this._dragDropRegistry.isDragging(l)){var h=l.getRootElement();h.parentElement.insertBefore(c,h),s.splice(r,0,t)}else if(this._shouldEnterAsFirstChild(e,i)){var d=s[0].getRootElement();d.parentNode.insertBefore(c,d),s.unshift(t)}else o.coerceElement(this.element).appendChild(c),s.push(t);c.style.transform="",this._cacheItemPositions(),this._cacheParentPositions(),this._notifyReceivingSiblings(),this.entered.next({item:t,container:this,currentIndex:this.getItemIndex(t)})},t.prototype.exit=function(t){this._reset(),this.exited.next({item:t,container:this})},t.prototype.drop=function(t,e,i,n,r,o,s,a){void 0===s&&(s=[t]),void 0===a&&(a=[i]),this._reset(),this.dropped.next({item:t,items:s,currentIndex:e,previousIndex:i,previousIndices:a,container:this,previousContainer:n,isPointerOverContainer:r,distance:o,dropEffect:this.getDropEffect(t)})},t.prototype.withItems=function(t){var e=this,i=this._draggables;this._draggables=t,t.forEach((function(t){return t._withDropContainer(e)}));var n=Array.from(this._selectedItems).filter((function(e){return-1===t.indexOf(e)}));return n.length&&(n.forEach((function(t){return e._selectedItems.delete(t)})),this._emitSelectionChange()),this.isDragging()&&(i.filter((function(t){return t.isDragging()})).every((function(e){return-1===t.indexOf(e)}))?this._reset():this._cacheItems()),this},t.prototype.withDirection=function(t){return this._direction=t,this},t.prototype.connectedTo=function(t){return this._siblings=t.slice(),this},t.prototype.withOrientation=function(t){return this._orientation=t,this},t.prototype.withScrollableParents=function(t){var e=o.coerceElement(this.element);return this._scrollableElements=-1===t.indexOf(e)?j([e],t):t.slice(),this},t.prototype.getScrollableParents=function(){return this._scrollableElements},t.prototype.getItemIndex=function(t){return this._isDragging?dt("horizontal"===this._orientation&&"rtl"===this._direction?this._itemPositions.slice().reverse():this._itemPositions,(function(e){return e.drag===t})):this._draggables.indexOf(t)},t.prototype.getSelectedItems=function(){var t=this;return this._draggables.filter((function(e){return t._selectedItems.has(e)}))},t.prototype.isItemSelected=function(t){return this._selectedItems.has(t)},t.prototype.selectItem=function(t){this._selectedItems.has(t)||(this._selectedItems.add(t),this._lastSelectedItem=t,this._emitSelectionChange())},t.prototype.deselectItem=function(t){this._selectedItems.delete(t)&&(this._lastSelectedItem===t&&(this._lastSelectedItem=null),this._emitSelectionChange())},t.prototype.clearSelection=function(){this._lastSelectedItem=null,this._selectedItems.size&&(this._selectedItems.clear(),this._emitSelectionChange())},t.prototype.isReceiving=function(){return this._activeSiblings.size>0},t.prototype.isRefusing=function(){return this._refusedSiblings.size>0},t.prototype.getDropEffect=function(t){return this._draggables.indexOf(t)>-1?"move":this.enterPredicate(t,this)?this.acceptRules?F(this.acceptRules,t.kinds):"move":"none"},t.prototype._sortItem=function(t,e,i,n){if(!this.sortingDisabled&&this._clientRect&&P(this._clientRect,.05,e,i)){var r=this._itemPositions,o=this._getItemIndexFromPointerPosition(t,e,i,n);if(!(-1===o&&r.length>0)){var s="mixed"===this._orientation,a=s?this._sortItemInMixedList(t,o):this._sortItemInLinearList(t,o);a&&(this._previousSwap.overlaps=w(a.clientRect,e,i),this._previousSwap.drag=a.drag,this._previousSwap.delta=s?n.x||n.y:"horizontal"===this._orientation?n.x:n.y)}}},t.prototype._sortItemToIndex=function(t,e){"mixed"===this._orientation?this._sortItemInMixedList(t,e):this._sortItemInLinearList(t,e)},t.prototype._getSortIndex=function(t){return dt(this._itemPositions,(function(e){return e.drag===t}))},t.prototype._getKeyboardSortIndex=function(t,e){var i=this._itemPositions,n=this._getSortIndex(t);if(this.sortingDisabled||-1===n)return-1;var r=-1;return"mixed"===this._orientation?r=this._getMixedListKeyboardSortIndex(n,e):"horizontal"===this._orientation?"left"!==e&&"right"!==e||(r=n+("left"===e?-1:1)):"up"!==e&&"down"!==e||(r=n+("up"===e?-1:1)),r>-1&&r<i.length&&this.sortPredicate(r,t,this)?r:-1},t.prototype._getMixedListKeyboardSortIndex=function(t,e){var i=this._itemPositions;if("left"===e||"right"===e)return t+("left"===e==("ltr"===this._direction)?-1:1);var n=i[t].clientRect,r=n.left+n.width/2,o="up"===e,s=null,a=-1,c=1/0;return i.forEach((function(t){var e=t.clientRect;(o?e.bottom<=n.top:e.top>=n.bottom)&&(null===s||(o?e.top>s:e.top<s))&&(s=e.top)})),null===s?-1:(i.forEach((function(t,e){var i=t.clientRect,n=Math.abs(i.left+i.width/2-r);i.top===s&&n<c&&(c=n,a=e)})),a)},t.prototype._sortItemInLinearList=function(t,e){var i=this,n=this._itemPositions,r="horizontal"===this._orientation,o=dt(n,(function(e){return e.drag===t}));if(-1===o||!n[e])return null;var s=n[e],a=o>e?1:-1,c=this._getItemOffsetPx(n[o].clientRect,s.clientRect,a),l=this._getSiblingOffsetPx(o,n,a),h=n.slice();return nt(n,o,e),this.sorted.next({previousIndex:o,currentIndex:e,container:this,item:t}),n.forEach((function(e,n){if(h[n]!==e){var o=e.drag===t,s=o?c:l,a=o?t.getPlaceholderElement():e.drag.getRootElement(),d=e.offset;e.offset+=s,r?(i._animateSortedItem(t,a,{x:Math.round(d),y:0},{x:Math.round(e.offset),y:0}),R(e.clientRect,0,s)):(i._animateSortedItem(t,a,{x:0,y:Math.round(d)},{x:0,y:Math.round(e.offset)}),R(e.clientRect,s,0))}})),s},t.prototype._startScrollingIfNecessary=function(t,e){var i=this;if(!this.autoScrollDisabled){var n,r=0,o=0;if(this._parentPositions.positions.forEach((function(s,a){var c;a!==i._document&&s.clientRect&&!n&&P(s.clientRect,.05,t,e)&&(c=M(function l(t,e,i,n){var r=pt(e,n),o=ut(e,i),s=0,a=0;if(r){var c=t.scrollTop;1===r?c>0&&(s=1):t.scrollHeight-c>t.clientHeight&&(s=2)}if(o){var l=t.scrollLeft;1===o?l>0&&(a=1):t.scrollWidth-l>t.clientWidth&&(a=2)}return[s,a]}(a,s.clientRect,t,e),2),o=c[1],((r=c[0])||o)&&(n=a))})),!r&&!o){var s=this._viewportRuler.getViewportSize(),a=s.width,c=s.height,l={width:a,height:c,top:0,right:a,bottom:c,left:0};r=pt(l,e),o=ut(l,t),n=window}!n||r===this._verticalScrollDirection&&o===this._horizontalScrollDirection&&n===this._scrollNode||(this._verticalScrollDirection=r,this._horizontalScrollDirection=o,this._scrollNode=n,(r||o)&&n?this._ngZone.runOutsideAngular(this._startScrollInterval):this._stopScrolling())}},t.prototype._sortItemInMixedList=function(t,e){var i=this,n=this._itemPositions,r=dt(n,(function(e){return e.drag===t})),o=n[e];if(-1===r||r===e||!o)return null;var s=t.getPlaceholderElement(),a=o.drag.getRootElement(),c=new Map;return n.forEach((function(t){var e=t.drag;c.set(e,I(e.getVisibleElement(),i._document))})),a.parentNode.insertBefore(s,r<e?a.nextSibling:a),nt(n,r,e),this._activeDraggables=n.map((function(t){return t.drag})),this.sorted.next({previousIndex:r,currentIndex:e,container:this,item:t}),this._animateToNewPositions(t,c),o},t.prototype._animateToNewPositions=function(t,e){var i=this,n=this._itemPositions;n.forEach((function(t){var e=t.drag.getVisibleElement();i._disableTransition(e),e.style.transform=""})),n.forEach((function(t){t.clientRect=I(t.drag.getVisibleElement(),i._document),t.offset=0}));var r=[];n.forEach((function(i){var n=i.drag,o=i.clientRect,s=e.get(n);if(n!==t&&s){var a=Math.round(s.left-o.left),c=Math.round(s.top-o.top);(a||c)&&r.push({element:n.getVisibleElement(),from:{x:a,y:c}})}})),this.animationFn?r.forEach((function(e){i._runSortAnimation(t,e.element,e.from,{x:0,y:0})})):(r.forEach((function(t){var e=t.from;t.element.style.transform="translate3d("+e.x+"px, "+e.y+"px, 0)"})),o.coerceElement(this.element).getBoundingClientRect(),n.forEach((function(t){var e=t.drag.getVisibleElement();i._restoreTransition(e),e.style.transform=""})),this.animationDone.observers.length&&r.forEach((function(e){return i._emitAnimationDoneAfterTransition(t,e.element)})))},t.prototype._animateSortedItem=function(t,e,i,n){e.style.transform="translate3d("+n.x+"px, "+n.y+"px, 0)",this.animationFn?(this._disableTransition(e),this._runSortAnimation(t,e,i,n)):this.animationDone.observers.length&&this._emitAnimationDoneAfterTransition(t,e)},t.prototype._disableTransition=function(t){this._initialTransitions.has(t)||this._initialTransitions.set(t,t.style.transition||""),t.style.transition="none"},t.prototype._restoreTransition=function(t){var e=this._initialTransitions.get(t);void 0!==e&&(t.style.transition=e,this._initialTransitions.delete(t))},t.prototype._runSortAnimation=function(t,e,i,n){var r=this;this._ngZone.runOutsideAngular((function(){z(r.animationFn,{type:"sort",element:e,item:t,from:i,to:n}).then((function(){r.animationDone.next({container:r,item:t,type:"sort",element:e})}))}))},t.prototype._emitAnimationDoneAfterTransition=function(t,e){var i=this,n=f(e);this._ngZone.runOutsideAngular((function(){v(e,n).then((function(){i.animationDone.next({container:i,item:t,type:"sort",element:e})}))}))},t.prototype._stopScrolling=function(){this._stopScrollTimers.next()},t.prototype._scrollIntoView=function(t){if(!this.autoScrollDisabled){this._scrollableElements.slice().sort((function(t,e){return t.contains(e)?1:e.contains(t)?-1:0})).forEach((function(e){if(e!==t&&e.contains(t)){var i=e.getBoundingClientRect(),n=t.getBoundingClientRect(),r=i.top+e.clientTop,o=i.left+e.clientLeft;B(e,V(r,r+e.clientHeight,n.top,n.bottom)),W(e,V(o,o+e.clientWidth,n.left,n.right))}}));var e=this._viewportRuler.getViewportSize(),i=e.width,n=e.height,r=t.getBoundingClientRect(),o=V(0,n,r.top,r.bottom),s=V(0,i,r.left,r.right);o&&B(window,o),s&&W(window,s)}},t.prototype._handleItemClick=function(t,e){if(this.multiSelect){this.beforeSelectionChanged.next();var i=this._selectedItems,n=e.ctrlKey||e.metaKey,r=this._lastSelectedItem,o=r?this._draggables.indexOf(r):-1,s=this._draggables.indexOf(t);if(e.shiftKey&&o>-1&&s>-1){n||i.clear();for(var a=M(o<s?[o,s]:[s,o],2),c=a[1],l=a[0];l<=c;l++)i.add(this._draggables[l])}else n?(i.has(t)?i.delete(t):i.add(t),this._lastSelectedItem=t):(i.clear(),i.add(t),this._lastSelectedItem=t);this._emitSelectionChange()}},t.prototype._getMultiDragItems=function(t){return this.multiSelect&&this._selectedItems.has(t)?Array.from(this._selectedItems):[t]},t.prototype._getDraggableIndex=function(t){return this._draggables.indexOf(t)},t.prototype._draggingStarted=function(){var t=o.coerceElement(this.element).style;this.beforeStarted.next(),this._isDragging=!0,this._registerOwnerDocument(),this._initialScrollSnap=t.msScrollSnapType||t.scrollSnapType||"",t.scrollSnapType=t.msScrollSnapType="none",this._cacheItems(),this._viewportScrollSubscription.unsubscribe(),this._listenToScrollEvents()},t.prototype._cacheParentPositions=function(){var t=o.coerceElement(this.element);this._parentPositions.cache(this._scrollableElements),this._clientRect=this._parentPositions.positions.get(t).clientRect},t.prototype._cacheItemPositions=function(){var t=this,e="horizontal"===this._orientation;this._itemPositions=this._activeDraggables.map((function(e){var i=e.getVisibleElement();return{drag:e,offset:0,clientRect:I(i,t._document)}})),"mixed"!==this._orientation&&this._itemPositions.sort((function(t,i){return e?t.clientRect.left-i.clientRect.left:t.clientRect.top-i.clientRect.top}))},t.prototype._reset=function(){var t=this;this._isDragging=!1;var e=o.coerceElement(this.element).style;e.scrollSnapType=e.msScrollSnapType=this._initialScrollSnap,this._activeDraggables.forEach((function(t){var e=t.getRootElement();e&&(e.style.transform="")})),this._initialTransitions.forEach((function(t,e){e.style.transition=t})),this._initialTransitions.clear(),this._siblings.forEach((function(e){return e._stopReceiving(t)})),this._activeDraggables=[],this._itemPositions=[],this._previousSwap.drag=null,this._previousSwap.delta=0,this._previousSwap.overlaps=!1,this._stopScrolling(),this._viewportScrollSubscription.unsubscribe(),this._parentPositions.clear()},t.prototype._getSiblingOffsetPx=function(t,e,i){var n="horizontal"===this._orientation,r=e[t].clientRect,o=e[t+-1*i],s=r[n?"width":"height"]*i;if(o){var a=n?"left":"top",c=n?"right":"bottom";-1===i?s-=o.clientRect[a]-r[c]:s+=r[a]-o.clientRect[c]}return s},t.prototype._getItemOffsetPx=function(t,e,i){var n="horizontal"===this._orientation,r=n?e.left-t.left:e.top-t.top;return-1===i&&(r+=n?e.width-t.width:e.height-t.height),r},t.prototype._shouldEnterAsFirstChild=function(t,e){if(!this._activeDraggables.length)return!1;var i=this._itemPositions,n="horizontal"===this._orientation;if("mixed"===this._orientation)return e<(o=i[0].clientRect).top||e<=o.bottom&&("rtl"===this._direction?t>=o.right:t<=o.left);if(i[0].drag!==this._activeDraggables[0]){var r=i[i.length-1].clientRect;return n?t>=r.right:e>=r.bottom}var o=i[0].clientRect;return n?t<=o.left:e<=o.top},t.prototype._getItemIndexFromPointerPosition=function(t,e,i,n){var r=this,o="horizontal"===this._orientation,s="mixed"===this._orientation,a=dt(this._itemPositions,(function(a,c,l){var h=a.drag,d=a.clientRect;return h===t?l.length<2:(!n||h!==r._previousSwap.drag||!r._previousSwap.overlaps||(s?n.x||n.y:o?n.x:n.y)!==r._previousSwap.delta)&&(s?e>=Math.floor(d.left)&&e<Math.floor(d.right)&&i>=Math.floor(d.top)&&i<Math.floor(d.bottom):o?e>=Math.floor(d.left)&&e<Math.floor(d.right):i>=Math.floor(d.top)&&i<Math.floor(d.bottom))}));return-1!==a&&this.sortPredicate(a,t,this)?a:-1},t.prototype._cacheItems=function(){this._activeDraggables=this._draggables.filter((function(t){return!t._multiDragSource})),this._cacheItemPositions(),this._cacheParentPositions()},t.prototype._isOverContainer=function(t,e){return null!=this._clientRect&&w(this._clientRect,t,e)},t.prototype._getSiblingContainerFromPosition=function(t,e,i){var n=this._siblings.filter((function(n){return n._canReceive(t,e,i)}));if(n.length)return this._isOverContainer(e,i)&&this._isTopmostElementAtPoint(e,i)&&n.push(this),n.reduce((function(t,e){return o.coerceElement(t.element).contains(o.coerceElement(e.element))?e:t}))},t.prototype._getContainerLevel=function(t){var e=o.coerceElement(t.element);return j([this],this._siblings).filter((function(t){var i=o.coerceElement(t.element);return i!==e&&i.contains(e)})).length},t.prototype._getSiblingContainerInDirection=function(t,e,i,n){var r=this,s=i.left+i.width/2,a=i.top+i.height/2,c=null,l=1/0;return j([this],this._siblings).forEach((function(i){if(i!==e&&(i===r||"none"!==i.getDropEffect(t))){var h,d=I(o.coerceElement(i.element),r._document);switch(n){case"up":h=a-d.bottom;break;case"down":h=d.top-a;break;case"left":h=s-d.right;break;default:h=d.left-s}var p=h+("up"===n||"down"===n?Math.max(d.left-s,s-d.right,0):Math.max(d.top-a,a-d.bottom,0));(d.width||d.height)&&h>=0&&p<l&&(l=p,c=i)}})),c},t.prototype._canReceive=function(t,e,i){return!(!(this._clientRect&&w(this._clientRect,e,i)&&this.enterPredicate(t,this)&&this._acceptsItem(t))||t.getRootElement().contains(o.coerceElement(this.element)))&&this._isTopmostElementAtPoint(e,i)},t.prototype._getRefusingSiblingFromPosition=function(t,e){var i=this;return this._siblings.find((function(n){return n._refusedSiblings.has(i)&&n._isOverContainer(t,e)&&n._isTopmostElementAtPoint(t,e)}))},t.prototype._acceptsItem=function(t){return!this.acceptRules||"none"!==F(this.acceptRules,t.kinds)},t.prototype._isTopmostElementAtPoint=function(t,e){var i=function n(t,e,i){for(var n=t,r=null;n;){var o=n.elementFromPoint(e,i);if(!o||o===r)break;if(r=o,o.shadowRoot)n=o.shadowRoot;else{var s=E(o);if(!s)break;var a=x(o);e-=a.x,i-=a.y,n=s}}return r}(this._document,t,e);return!!i&&function r(t,e){for(var i=e;i;){if(i===t)return!0;i=i.parentNode||i.host||(i.nodeType===i.DOCUMENT_NODE?S(i):null)}return!1}(o.coerceElement(this.element),i)},t.prototype._startReceiving=function(t,e){var i=this,n=this._activeSiblings;this._registerOwnerDocument(),n.has(t)||this._refusedSiblings.has(t)||(e.every((function(t){return i.enterPredicate(t,i)&&i._acceptsItem(t)||i._draggables.indexOf(t)>-1}))?n.add(t):this._refusedSiblings.add(t),this._cacheParentPositions(),this._listenToScrollEvents())},t.prototype._stopReceiving=function(t){this._activeSiblings.delete(t),this._refusedSiblings.delete(t),this._viewportScrollSubscription.unsubscribe()},t.prototype._listenToScrollEvents=function(){var t=this;this._viewportScrollSubscription=this._dragDropRegistry.scroll.subscribe((function(e){if(t.isDragging()){var i=t._parentPositions.handleScroll(e);i&&(t._itemPositions.forEach((function(t){R(t.clientRect,i.top,i.left)})),t._itemPositions.forEach((function(e){var i=e.drag;t._dragDropRegistry.isDragging(i)&&i._sortFromLastPointerPosition()})))}else(t.isReceiving()||t.isRefusing())&&t._cacheParentPositions()}))},t.prototype._registerOwnerDocument=function(){var t=o.coerceElement(this.element).ownerDocument;t!==this._registeredDocument&&(this._registeredDocument&&(this._dragDropRegistry.removeDocument(this._registeredDocument),this._registeredDocument=null),t&&t!==this._document&&(this._registeredDocument=t,this._dragDropRegistry.registerDocument(t)))},t.prototype._canReceiveNativeDrag=function(t){return!(!this.nativeDropsEnabled||!t.dataTransfer)&&(null!==this._nativeDropIndex||!this._isDragging&&this.nativeEnterPredicate(t,this))},t.prototype._startNativeDrag=function(t,e,i){this._draggingStarted();var n=this._nativeDropIndex=this._getNativeDropIndex(e,i);this._nativePlaceholder=this._createNativePlaceholder(),this._moveNativePlaceholder(n),this.nativeEntered.next({container:this,currentIndex:n,event:t})},t.prototype._exitNativeDrag=function(t){this._endNativeDrag(),this.nativeExited.next({container:this,event:t})},t.prototype._endNativeDrag=function(){var t=this._nativePlaceholder;t&&t.parentNode&&t.parentNode.removeChild(t),this._nativePlaceholder=this._nativeDropIndex=null,this._nativeDragDepth=0,this._reset()},t.prototype._getNativeDropIndex=function(t,e){var i=this,n=this._itemPositions;if(this.sortingDisabled)return n.length;var r="rtl"===this._direction;return n.filter((function(n){var o=n.clientRect,s=o.left+o.width/2,a=r?s>t:s<t;return"horizontal"===i._orientation?a:"vertical"===i._orientation?o.top+o.height/2<e:o.bottom<=e||o.top<=e&&a})).length},t.prototype._moveNativePlaceholder=function(t){var e=this,i=this._nativePlaceholder,n=this._activeDraggables,r=new Map;if(this._itemPositions.forEach((function(t){var i=t.drag;r.set(i,I(i.getVisibleElement(),e._document))})),t<n.length){var s=n[t].getRootElement();s.parentNode.insertBefore(i,s)}else if(n.length){var a=n[n.length-1].getRootElement();a.parentNode.insertBefore(i,a.nextSibling)}else o.coerceElement(this.element).appendChild(i);this._animateToNewPositions(null,r)},t.prototype._createNativePlaceholder=function(){var t=(o.coerceElement(this.element).ownerDocument||this._document).createElement("div"),e=this._itemPositions[0];return t.classList.add("cdk-drag-placeholder","cdk-drop-list-native-placeholder"),t.style.pointerEvents="none",e&&(t.style.width=e.clientRect.width+"px",t.style.height=e.clientRect.height+"px"),t},t.prototype._emitSelectionChange=function(){this.selectionChanged.next({container:this,items:this.getSelectedItems()})},t.prototype._notifyReceivingSiblings=function(){var t=this,e=this._activeDraggables.filter((function(t){return t.isDragging()}));this._siblings.forEach((function(i){return i._startReceiving(t,e)}))},t}();function dt(t,e){for(var i=0;i<t.length;i++)if(e(t[i],i,t))return i;return-1}function pt(t,e){var i=t.top,n=t.bottom,r=.05*t.height;return e>=i-r&&e<=i+r?1:e>=n-r&&e<=n+r?2:0}function ut(t,e){var i=t.left,n=t.right,r=.05*t.width;return e>=i-r&&e<=i+r?1:e>=n-r&&e<=n+r?2:0}var gt=function(){function t(t,e){var i=this;this._document=e,this.gridSize=0,this.guideThreshold=5,this.preventOverlap=!1,this.beforeStarted=new a.Subject,this.dropped=new a.Subject,this._items=new Map,this._activeItem=null,this._pendingOrigin=null,this._guideElements=[],this._constrainPosition=function(t,e){var n=i._activeItem;if(!n||n.item!==e)return t;var r=n.origin,o=n.width,s=n.height,a=n.siblings,c=[],l=i.guideThreshold,h=r.x+t.x,d=r.y+t.y,p=l>0?_t(h,o,a.map((function(t){return[t.left,t.width]})),l):null,u=l>0?_t(d,s,a.map((function(t){return[t.top,t.height]})),l):null;if(p?(h=p.position,c.push({orientation:"vertical",position:p.guide})):h=ft(h,i.gridSize),u?(d=u.position,c.push({orientation:"horizontal",position:u.guide})):d=ft(d,i.gridSize),h=mt(h,0,n.canvasWidth-o),d=mt(d,0,n.canvasHeight-s),i.preventOverlap){var g=i._resolveCollisions({x:h,y:d});h=g.x,d=g.y}return n.lastValidPosition={x:h,y:d},i._renderGuides(c),{x:h-r.x,y:d-r.y}},this.element=o.coerceElement(t)}return t.prototype.dispose=function(){this._items.forEach((function(t,e){t.unsubscribe(),e.constrainFreeDragPosition=void 0})),this._items.clear(),this._removeGuides(),this._activeItem=this._pendingOrigin=null,this.beforeStarted.complete(),this.dropped.complete()},t.prototype.isDragging=function(){return!!this._activeItem},t.prototype.addItem=function(t){var e=this;if(!this._items.has(t)){var i=new a.Subscription;i.add(t.beforeStarted.subscribe((function(){return e._measureItemOrigin(t)}))),i.add(t.started.subscribe((function(){return e._itemStarted(t)}))),i.add(t.ended.subscribe((function(){return e._itemEnded(t)}))),t.constrainFreeDragPosition=this._constrainPosition,this._items.set(t,i)}return this},t.prototype.removeItem=function(t){var e=this._items.get(t);return e&&(e.unsubscribe(),t.constrainFreeDragPosition=void 0,this._items.delete(t),this._activeItem&&this._activeItem.item===t&&(this._removeGuides(),this._activeItem=null)),this},t.prototype.getItemPosition=function(t){var e=this._getRectInCanvas(t);return{x:e.left,y:e.top}},t.prototype.setItemPosition=function(t,e){var i=this._getItemOrigin(t);return t.setFreeDragPosition({x:e.x-i.x,y:e.y-i.y}),this},t.prototype._measureItemOrigin=function(t){this.beforeStarted.next(),this._pendingOrigin={item:t,origin:this._getItemOrigin(t)}},t.prototype._itemStarted=function(t){var e=this,i=this._pendingOrigin,n=i&&i.item===t?i.origin:this._getItemOrigin(t),r=this._getRectInCanvas(t),s=o.coerceElement(this.element),a={x:r.left,y:r.top},c=[];this._items.forEach((function(i,n){n!==t&&c.push(e._getRectInCanvas(n))})),this._pendingOrigin=null,this._activeItem={item:t,origin:n,startPosition:a,lastValidPosition:a,width:r.width,height:r.height,siblings:c,canvasWidth:s.scrollWidth,canvasHeight:s.scrollHeight}},t.prototype._itemEnded=function(t){var e=this._activeItem;if(e&&e.item===t){var i=t.getFreeDragPosition();this._removeGuides(),this._activeItem=null,this.dropped.next({item:t,container:this,position:{x:e.origin.x+i.x,y:e.origin.y+i.y},previousPosition:e.startPosition})}},t.prototype._resolveCollisions=function(t){var e,i,n=this._activeItem,r=n.lastValidPosition,o=n.width,s=n.height,a=n.siblings,c=[t,{x:t.x,y:r.y},{x:r.x,y:t.y}],l=function(t){var e={left:t.x,top:t.y,width:o,height:s};if(!a.some((function(t){return function i(t,e){return t.left<e.left+e.width&&e.left<t.left+t.width&&t.top<e.top+e.height&&e.top<t.top+t.height}(e,t)})))return{value:t}};try{for(var h=N(c),d=h.next();!d.done;d=h.next()){var p=l(d.value);if("object"==typeof p)return p.value}}catch(t){e={error:t}}finally{try{d&&!d.done&&(i=h.return)&&i.call(h)}finally{if(e)throw e.error}}return r},t.prototype._renderGuides=function(t){var e=this,i=o.coerceElement(this.element),n=this._activeItem,r=n.canvasWidth,s=n.canvasHeight;t.forEach((function(t,n){var o=e._guideElements[n];o||((o=e._document.createElement("div")).setAttribute("aria-hidden","true"),e._guideElements.push(o));var a="vertical"===t.orientation;o.className="cdk-drag-canvas-guide cdk-drag-canvas-guide-"+t.orientation,p(o.style,{position:"absolute",pointerEvents:"none",left:(a?t.position:0)+"px",top:(a?0:t.position)+"px",width:(a?0:r)+"px",height:(a?s:0)+"px"}),o.parentNode!==i&&i.appendChild(o)})),this._guideElements.splice(t.length).forEach(vt)},t.prototype._removeGuides=function(){this._guideElements.forEach(vt),this._guideElements=[]},t.prototype._getItemOrigin=function(t){var e=this._getRectInCanvas(t),i=t.getFreeDragPosition();return{x:e.left-i.x,y:e.top-i.y}},t.prototype._getRectInCanvas=function(t){var e=o.coerceElement(this.element),i=I(e,this._document),n=I(t.getRootElement(),this._document);return{left:n.left-i.left-e.clientLeft+e.scrollLeft,top:n.top-i.top-e.clientTop+e.scrollTop,width:n.width,height:n.height}},t}();function _t(t,e,i,n){var r,o,s,a,c,l,h=[t,t+e/2,t+e],d=null,p=n;try{for(var u=N(i),g=u.next();!g.done;g=u.next()){var _=M(g.value,2),f=_[0],m=_[1],v=[f,f+m/2,f+m];try{for(var y=(s=void 0,N(v)),b=y.next();!b.done;b=y.next()){var D=b.value;try{for(var S=(c=void 0,N(h)),E=S.next();!E.done;E=S.next()){var x=E.value,I=Math.abs(D-x);I<=p&&(p=I,d={position:t+D-x,guide:D})}}catch(t){c={error:t}}finally{try{E&&!E.done&&(l=S.return)&&l.call(S)}finally{if(c)throw c.error}}}}catch(t){s={error:t}}finally{try{b&&!b.done&&(a=y.return)&&a.call(y)}finally{if(s)throw s.error}}}}catch(t){r={error:t}}finally{try{g&&!g.done&&(o=u.return)&&o.call(u)}finally{if(r)throw r.error}}return d}function ft(t,e){return e>0?Math.round(t/e)*e:t}function mt(t,e,i){return Math.max(e,Math.min(i,t))}function vt(t){t.parentNode&&t.parentNode.removeChild(t)}
+/**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */var yt=function(){function t(t,e,i,n,r,c){var l=this;this._config=e,this._document=i,this._ngZone=n,this._viewportRuler=r,this._dragDropRegistry=c,this._handles=[],this._activeHandle=null,this._boundaryElement=null,this._direction="ltr",this._disabled=!1,this.minWidth=0,this.maxWidth=1/0,this.minHeight=0,this.maxHeight=1/0,this.lockAspectRatio=!1,this.keyboardStep=10,this.beforeStarted=new a.Subject,this.started=new a.Subject,this.resized=new a.Subject,this.ended=new a.Subject,this._handleKeydown=function(t){var e=l._handles.find((function(e){return e.element===t.currentTarget})),i=t.keyCode;if(!(!e||l._disabled||l._activeHandle||s.hasModifierKey(t)||i!==s.LEFT_ARROW&&i!==s.RIGHT_ARROW&&i!==s.UP_ARROW&&i!==s.DOWN_ARROW)){var n=l._getHandleDirection(e.position),r=l.keyboardStep,o={x:i===s.LEFT_ARROW?-r:i===s.RIGHT_ARROW?r:0,y:i===s.UP_ARROW?-r:i===s.DOWN_ARROW?r:0};0!==o.x&&0===n.x||0!==o.y&&0===n.y||(t.preventDefault(),l._ngZone.run((function(){l.beforeStarted.next(),l._startResizing(e),l._resize(e,o),l._stopResizing(e)})))}},this._element=o.coerceElement(t)}return Object.defineProperty(t.prototype,"disabled",{get:function(){return this._disabled},set:function(t){this._disabled=t,this._handles.forEach((function(e){return e.dragRef.disabled=t}))},enumerable:!1,configurable:!0}),t.prototype.isResizing=function(){return!!this._activeHandle},t.prototype.withHandles=function(t){var e=this;return this._removeHandles(),this._handles=t.map((function(t){return e._createHandle(t)})),this},t.prototype.withBoundaryElement=function(t){var e=this;return this._boundaryElement=t?o.coerceElement(t):null,this._handles.forEach((function(t){return t.dragRef.withBoundaryElement(e._boundaryElement)})),this},t.prototype.withDirection=function(t){return this._direction=t,this._handles.forEach((function(e){return e.dragRef.withDirection(t)})),this},t.prototype.getSize=function(){var t=this._element.getBoundingClientRect();return{width:t.width,height:t.height}},t.prototype.setSize=function(t){return this._initialSize=this._currentSize=this.getSize(),this._measureSizeOffset(),this._applySize(this._constrainSize(t,!0,!0)),this},t.prototype.dispose=function(){this._removeHandles(),this._boundaryElement=this._activeHandle=null,this.beforeStarted.complete(),this.started.complete(),this.resized.complete(),this.ended.complete()},t.prototype._createHandle=function(t){var e=this,i=o.coerceElement(t.element),n=t.position,r=new X(i,this._config,this._document,this._ngZone,this._viewportRuler,this._dragDropRegistry),s=n.indexOf("start")>-1||n.indexOf("end")>-1,c=n.indexOf("top")>-1||n.indexOf("bottom")>-1,l={element:i,position:n,dragRef:r,subscription:new a.Subscription};return r.constrainFreeDragPosition=function(){return{x:0,y:0}},s!==c&&(r.lockAxis=s?"x":"y"),r.disabled=this._disabled,r.withBoundaryElement(this._boundaryElement).withDirection(this._direction),l.subscription.add(r.beforeStarted.subscribe((function(){return e.beforeStarted.next()}))),l.subscription.add(r.started.subscribe((function(){return e._startResizing(l)}))),l.subscription.add(r.moved.subscribe((function(t){e._resize(l,t.distance)}))),l.subscription.add(r.ended.subscribe((function(){return e._stopResizing(l)}))),this._ngZone.runOutsideAngular((function(){i.addEventListener("keydown",e._handleKeydown)})),l},t.prototype._removeHandles=function(){var t=this;this._handles.forEach((function(e){e.element.removeEventListener("keydown",t._handleKeydown),e.subscription.unsubscribe(),e.dragRef.dispose()})),this._handles=[]},t.prototype._startResizing=function(t){this._activeHandle=t,this._initialSize=this._currentSize=this.getSize(),this._measureSizeOffset(),this.started.next({source:this,handle:t.element})},t.prototype._resize=function(t,e){var i=this._getHandleDirection(t.position),n=i.x,r=i.y,o=this._constrainSize({width:this._initialSize.width+e.x*n,height:this._initialSize.height+e.y*r},0!==n,0!==r);o.width===this._currentSize.width&&o.height===this._currentSize.height||(this._applySize(o),this.resized.next(Object.assign({source:this,handle:t.element},o)))},t.prototype._stopResizing=function(t){this._activeHandle=null,this.ended.next(Object.assign({source:this,handle:t.element},this._currentSize))},t.prototype._getHandleDirection=function(t){var e="rtl"===this._direction,i=0,n=0;return t.indexOf("end")>-1?i=e?-1:1:t.indexOf("start")>-1&&(i=e?1:-1),t.indexOf("bottom")>-1?n=1:t.indexOf("top")>-1&&(n=-1),{x:i,y:n}},t.prototype._constrainSize=function(t,e,i){var n=this._initialSize,r=e?bt(t.width,this.minWidth,this.maxWidth):n.width,o=i?bt(t.height,this.minHeight,this.maxHeight):n.height;if(this.lockAspectRatio&&n.width>0&&n.height>0){var s=n.width/n.height;!i||e&&Math.abs(r/n.width-1)>=Math.abs(o/n.height-1)?o=r/s:r=o*s,o=(r=bt(r,Math.max(this.minWidth,this.minHeight*s),Math.min(this.maxWidth,this.maxHeight*s)))/s}return{width:r,height:o}},t.prototype._measureSizeOffset=function(){var t=getComputedStyle(this._element),e=parseFloat(t.width),i=parseFloat(t.height);this._sizeOffset={width:isNaN(e)?0:this._initialSize.width-e,height:isNaN(i)?0:this._initialSize.height-i}},t.prototype._applySize=function(t){var e=this._element.style;t.width!==this._currentSize.width&&(e.width=Math.max(0,t.width-this._sizeOffset.width)+"px"),t.height!==this._currentSize.height&&(e.height=Math.max(0,t.height-this._sizeOffset.height)+"px"),this._currentSize=t},t}();function bt(t,e,i){return Math.max(e,Math.min(i,t))}var Dt=r.normalizePassiveListenerOptions({passive:!1,capture:!0}),St=function(){function t(t,e){var i=this;this._ngZone=t,this._dropInstances=new Set,this._dragInstances=new Set,this._activeDragInstances=[],this._frameDocuments=new Map,this._globalListeners=new Map,this._draggingPredicate=function(t){return t.isDragging()},this.pointerMove=new a.Subject,this.pointerUp=new a.Subject,this.scroll=new a.Subject,this._preventDefaultWhileDragging=function(t){i._activeDragInstances.length>0&&t.preventDefault()},this._persistentTouchmoveListener=function(t){i._activeDragInstances.length>0&&(i._activeDragInstances.some(i._draggingPredicate)&&t.preventDefault(),i.pointerMove.next(t))},this._document=e}return t.prototype.registerDropContainer=function(t){this._dropInstances.has(t)||this._dropInstances.add(t)},t.prototype.registerDragItem=function(t){var e=this;this._dragInstances.add(t),1===this._dragInstances.size&&this._ngZone.runOutsideAngular((function(){e._getDocuments().forEach((function(t){return e._addTouchmoveListener(t)}))}))},t.prototype.registerDocument=function(t){var e=this;if(t!==this._document){var i=this._frameDocuments.get(t)||0;this._frameDocuments.set(t,i+1),0===i&&this._ngZone.runOutsideAngular((function(){e._dragInstances.size>0&&e._addTouchmoveListener(t),e._globalListeners.forEach((function(e,i){t.addEventListener(i,e.handler,e.options)}))}))}},t.prototype.removeDocument=function(t){var e=this._frameDocuments.get(t);e&&(e>1?this._frameDocuments.set(t,e-1):(this._frameDocuments.delete(t),this._removeTouchmoveListener(t),this._globalListeners.forEach((function(e,i){t.removeEventListener(i,e.handler,e.options)}))))},t.prototype.removeDropContainer=function(t){this._dropInstances.delete(t)},t.prototype.removeDragItem=function(t){var e=this;this._dragInstances.delete(t),this.stopDragging(t),0===this._dragInstances.size&&this._getDocuments().forEach((function(t){return e._removeTouchmoveListener(t)}))},t.prototype.startDragging=function(t,e){var i=this;if(!(this._activeDragInstances.indexOf(t)>-1)&&(this._activeDragInstances.push(t),1===this._activeDragInstances.length)){var n=e.type.startsWith("touch");this._globalListeners.set(n?"touchend":"mouseup",{handler:function(t){return i.pointerUp.next(t)},options:!0}).set("scroll",{handler:function(t){return i.scroll.next(t)},options:!0}).set("selectstart",{handler:this._preventDefaultWhileDragging,options:Dt}),n||this._globalListeners.set("mousemove",{handler:function(t){return i.pointerMove.next(t)},options:Dt}),this._ngZone.runOutsideAngular((function(){i._getDocuments().forEach((function(t){i._globalListeners.forEach((function(e,i){t.addEventListener(i,e.handler,e.options)}))}))}))}},t.prototype.stopDragging=function(t){var e=this._activeDragInstances.indexOf(t);e>-1&&(this._activeDragInstances.splice(e,1),0===this._activeDragInstances.length&&this._clearGlobalListeners())},t.prototype.isDragging=function(t){return this._activeDragInstances.indexOf(t)>-1},t.prototype.ngOnDestroy=function(){var t=this;this._dragInstances.forEach((function(e){return t.removeDragItem(e)})),this._dropInstances.forEach((function(e){return t.removeDropContainer(e)})),this._clearGlobalListeners(),this._frameDocuments.clear(),this.pointerMove.complete(),this.pointerUp.complete()},t.prototype._clearGlobalListeners=function(){var t=this;this._getDocuments().forEach((function(e){t._globalListeners.forEach((function(t,i){e.removeEventListener(i,t.handler,t.options)}))})),this._globalListeners.clear()},t.prototype._addTouchmoveListener=function(t){t.addEventListener("touchmove",this._persistentTouchmoveListener,Dt)},t.prototype._removeTouchmoveListener=function(t){t.removeEventListener("touchmove",this._persistentTouchmoveListener,Dt)},t.prototype._getDocuments=function(){return j([this._document],Array.from(this._frameDocuments.keys()))},t}();St.ɵprov=e.ɵɵdefineInjectable({factory:function t(){return new St(e.ɵɵinject(e.NgZone),e.ɵɵinject(i.DOCUMENT))},token:St,providedIn:"root"}),St.decorators=[{type:e.Injectable,args:[{providedIn:"root"}]}],St.ctorParameters=function(){return[{type:e.NgZone},{type:void 0,decorators:[{type:e.Inject,args:[i.DOCUMENT]}]}]};
+/**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+var Et={dragStartThreshold:5,pointerDirectionChangeThreshold:5},xt=function(){function t(t,e,i,n){this._document=t,this._ngZone=e,this._viewportRuler=i,this._dragDropRegistry=n}return t.prototype.createDrag=function(t,e){return void 0===e&&(e=Et),new X(t,e,this._document,this._ngZone,this._viewportRuler,this._dragDropRegistry)},t.prototype.createDropList=function(t){return new ht(t,this._dragDropRegistry,this._document,this._ngZone,this._viewportRuler)},t.prototype.createDragCanvas=function(t){return new gt(t,this._document)},t.prototype.createResizable=function(t,e){return void 0===e&&(e=Et),new yt(t,e,this._document,this._ngZone,this._viewportRuler,this._dragDropRegistry)},t}();xt.ɵprov=e.ɵɵdefineInjectable({factory:function t(){return new xt(e.ɵɵinject(i.DOCUMENT),e.ɵɵinject(e.NgZone),e.ɵɵinject(n.ViewportRuler),e.ɵɵinject(St))},token:xt,providedIn:"root"}),xt.decorators=[{type:e.Injectable,args:[{providedIn:"root"}]}],xt.ctorParameters=function(){return[{type:void 0,decorators:[{type:e.Inject,args:[i.DOCUMENT]}]},{type:e.NgZone},{type:n.ViewportRuler},{type:St}]};
 /**
      * @license
      * Copyright Google LLC All Rights Reserved.
@@ -62,14 +113,21 @@
      * Use of this source code is governed by an MIT-style license that can be
      * found in the LICENSE file at https://angular.io/license
      */
-function j(t,e,i){var r=M(e,t.length-1),n=M(i,t.length-1);if(r!==n){for(var o=t[r],s=n<r?-1:1,a=r;a!==n;a+=s)t[a]=t[a+s];t[n]=o}}function M(t,e){return Math.max(0,Math.min(e,t))}var z=function(){function t(t,e,i,r,n){var c=this;this._dragDropRegistry=e,this._ngZone=r,this._viewportRuler=n,this.disabled=!1,this.sortingDisabled=!1,this.autoScrollDisabled=!1,this.autoScrollStep=2,this.enterPredicate=function(){return!0},this.sortPredicate=function(){return!0},this.beforeStarted=new s.Subject,this.entered=new s.Subject,this.exited=new s.Subject,this.dropped=new s.Subject,this.sorted=new s.Subject,this._isDragging=!1,this._itemPositions=[],this._previousSwap={drag:null,delta:0,overlaps:!1},this._draggables=[],this._siblings=[],this._orientation="vertical",this._activeSiblings=new Set,this._direction="ltr",this._viewportScrollSubscription=s.Subscription.EMPTY,this._verticalScrollDirection=0,this._horizontalScrollDirection=0,this._stopScrollTimers=new s.Subject,this._cachedShadowRoot=null,this._startScrollInterval=function(){c._stopScrolling(),s.interval(0,s.animationFrameScheduler).pipe(a.takeUntil(c._stopScrollTimers)).subscribe((function(){var t=c._scrollNode,e=c.autoScrollStep;1===c._verticalScrollDirection?F(t,-e):2===c._verticalScrollDirection&&F(t,e),1===c._horizontalScrollDirection?H(t,-e):2===c._horizontalScrollDirection&&H(t,e)}))},this.element=o.coerceElement(t),this._document=i,this.withScrollableParents([this.element]),e.registerDropContainer(this),this._parentPositions=new v(i,n)}return t.prototype.dispose=function(){this._stopScrolling(),this._stopScrollTimers.complete(),this._viewportScrollSubscription.unsubscribe(),this.beforeStarted.complete(),this.entered.complete(),this.exited.complete(),this.dropped.complete(),this.sorted.complete(),this._activeSiblings.clear(),this._scrollNode=null,this._parentPositions.clear(),this._dragDropRegistry.removeDropContainer(this)},t.prototype.isDragging=function(){return this._isDragging},t.prototype.start=function(){this._draggingStarted(),this._notifyReceivingSiblings()},t.prototype.enter=function(t,e,i,r){var n;this._draggingStarted(),null==r?-1===(n=this.sortingDisabled?this._draggables.indexOf(t):-1)&&(n=this._getItemIndexFromPointerPosition(t,e,i)):n=r;var s=this._activeDraggables,a=s.indexOf(t),c=t.getPlaceholderElement(),l=s[n];if(l===t&&(l=s[n+1]),a>-1&&s.splice(a,1),l&&!this._dragDropRegistry.isDragging(l)){var p=l.getRootElement();p.parentElement.insertBefore(c,p),s.splice(n,0,t)}else if(this._shouldEnterAsFirstChild(e,i)){var h=s[0].getRootElement();h.parentNode.insertBefore(c,h),s.unshift(t)}else o.coerceElement(this.element).appendChild(c),s.push(t);c.style.transform="",this._cacheItemPositions(),this._cacheParentPositions(),this._notifyReceivingSiblings(),this.entered.next({item:t,container:this,currentIndex:this.getItemIndex(t)})},t.prototype.exit=function(t){this._reset(),this.exited.next({item:t,container:this})},t.prototype.drop=function(t,e,i,r,n,o){this._reset(),this.dropped.next({item:t,currentIndex:e,previousIndex:i,container:this,previousContainer:r,isPointerOverContainer:n,distance:o})},t.prototype.withItems=function(t){var e=this,i=this._draggables;return this._draggables=t,t.forEach((function(t){return t._withDropContainer(e)})),this.isDragging()&&(i.filter((function(t){return t.isDragging()})).every((function(e){return-1===t.indexOf(e)}))?this._reset():this._cacheItems()),this},t.prototype.withDirection=function(t){return this._direction=t,this},t.prototype.connectedTo=function(t){return this._siblings=t.slice(),this},t.prototype.withOrientation=function(t){return this._orientation=t,this},t.prototype.withScrollableParents=function(t){var e=o.coerceElement(this.element);return this._scrollableElements=-1===t.indexOf(e)?A([e],t):t.slice(),this},t.prototype.getScrollableParents=function(){return this._scrollableElements},t.prototype.getItemIndex=function(t){return this._isDragging?N("horizontal"===this._orientation&&"rtl"===this._direction?this._itemPositions.slice().reverse():this._itemPositions,(function(e){return e.drag===t})):this._draggables.indexOf(t)},t.prototype.isReceiving=function(){return this._activeSiblings.size>0},t.prototype._sortItem=function(t,e,i,r){if(!this.sortingDisabled&&this._clientRect&&m(this._clientRect,.05,e,i)){var n=this._itemPositions,o=this._getItemIndexFromPointerPosition(t,e,i,r);if(!(-1===o&&n.length>0)){var s="horizontal"===this._orientation,a=N(n,(function(e){return e.drag===t})),c=n[o],l=c.clientRect,p=a>o?1:-1,h=this._getItemOffsetPx(n[a].clientRect,l,p),d=this._getSiblingOffsetPx(a,n,p),u=n.slice();j(n,a,o),this.sorted.next({previousIndex:a,currentIndex:o,container:this,item:t}),n.forEach((function(e,i){if(u[i]!==e){var r=e.drag===t,n=r?h:d,o=r?t.getPlaceholderElement():e.drag.getRootElement();e.offset+=n,s?(o.style.transform="translate3d("+Math.round(e.offset)+"px, 0, 0)",f(e.clientRect,0,n)):(o.style.transform="translate3d(0, "+Math.round(e.offset)+"px, 0)",f(e.clientRect,n,0))}})),this._previousSwap.overlaps=_(l,e,i),this._previousSwap.drag=c.drag,this._previousSwap.delta=s?r.x:r.y}}},t.prototype._startScrollingIfNecessary=function(t,e){var i=this;if(!this.autoScrollDisabled){var r,n=0,o=0;if(this._parentPositions.positions.forEach((function(s,a){var c;a!==i._document&&s.clientRect&&!r&&m(s.clientRect,.05,t,e)&&(c=L(function l(t,e,i,r){var n=V(e,r),o=G(e,i),s=0,a=0;if(n){var c=t.scrollTop;1===n?c>0&&(s=1):t.scrollHeight-c>t.clientHeight&&(s=2)}if(o){var l=t.scrollLeft;1===o?l>0&&(a=1):t.scrollWidth-l>t.clientWidth&&(a=2)}return[s,a]}
+var It=function(){function t(){this._undoStack=[],this._redoStack=[],this.maxSize=100,this.changes=new a.Subject}return t.prototype.ngOnDestroy=function(){this.clear(),this.changes.complete()},t.prototype.apply=function(t,e){var i=t.previousContainer.data,n=t.container.data,r=t.previousIndices&&t.previousIndices.length?t.previousIndices:[t.previousIndex];e||(e="copy"===t.dropEffect?"copy":i===n?"move":"transfer");var o=r.filter((function(t,e){return t>-1&&t<i.length&&r.indexOf(t)===e})).sort((function(t,e){return t-e})),s=o.map((function(t){return i[t]})),a={type:e,items:s,previousArray:i,currentArray:n,previousIndices:o,currentIndex:Math.max(0,Math.min("move"===e?n.length-s.length:n.length,t.currentIndex))};return wt(a),this._undoStack.push(a),this._redoStack=[],this._undoStack.length>this.maxSize&&this._undoStack.splice(0,this._undoStack.length-this.maxSize),this.changes.next({action:"apply",operation:a}),a},t.prototype.undo=function(){var t=this._undoStack.pop();return t?function e(t){var e=t.type,i=t.items,n=t.previousArray,r=t.currentArray,o=t.previousIndices,s=t.currentIndex;if(s+i.length>r.length||!i.every((function(t,e){return r[s+e]===t})))return!1;if("copy"===e)return!0;var a="move"===e?n.length-i.length:n.length;return o.every((function(t,e){return t<=a+e}))}(t)?(function i(t){var e=t.type,i=t.items,n=t.previousArray,r=t.previousIndices;t.currentArray.splice(t.currentIndex,i.length),"copy"!==e&&r.forEach((function(t,e){return n.splice(t,0,i[e])}))}
 /**
      * @license
      * Copyright Google LLC All Rights Reserved.
      *
      * Use of this source code is governed by an MIT-style license that can be
      * found in the LICENSE file at https://angular.io/license
-     */(a,s.clientRect,t,e),2),o=c[1],((n=c[0])||o)&&(r=a))})),!n&&!o){var s=this._viewportRuler.getViewportSize(),a=s.width,c=s.height,l={width:a,height:c,top:0,right:a,bottom:c,left:0};n=V(l,e),o=G(l,t),r=window}!r||n===this._verticalScrollDirection&&o===this._horizontalScrollDirection&&r===this._scrollNode||(this._verticalScrollDirection=n,this._horizontalScrollDirection=o,this._scrollNode=r,(n||o)&&r?this._ngZone.runOutsideAngular(this._startScrollInterval):this._stopScrolling())}},t.prototype._stopScrolling=function(){this._stopScrollTimers.next()},t.prototype._draggingStarted=function(){var t=o.coerceElement(this.element).style;this.beforeStarted.next(),this._isDragging=!0,this._initialScrollSnap=t.msScrollSnapType||t.scrollSnapType||"",t.scrollSnapType=t.msScrollSnapType="none",this._cacheItems(),this._viewportScrollSubscription.unsubscribe(),this._listenToScrollEvents()},t.prototype._cacheParentPositions=function(){var t=o.coerceElement(this.element);this._parentPositions.cache(this._scrollableElements),this._clientRect=this._parentPositions.positions.get(t).clientRect},t.prototype._cacheItemPositions=function(){var t="horizontal"===this._orientation;this._itemPositions=this._activeDraggables.map((function(t){var e=t.getVisibleElement();return{drag:t,offset:0,clientRect:g(e)}})).sort((function(e,i){return t?e.clientRect.left-i.clientRect.left:e.clientRect.top-i.clientRect.top}))},t.prototype._reset=function(){var t=this;this._isDragging=!1;var e=o.coerceElement(this.element).style;e.scrollSnapType=e.msScrollSnapType=this._initialScrollSnap,this._activeDraggables.forEach((function(t){var e=t.getRootElement();e&&(e.style.transform="")})),this._siblings.forEach((function(e){return e._stopReceiving(t)})),this._activeDraggables=[],this._itemPositions=[],this._previousSwap.drag=null,this._previousSwap.delta=0,this._previousSwap.overlaps=!1,this._stopScrolling(),this._viewportScrollSubscription.unsubscribe(),this._parentPositions.clear()},t.prototype._getSiblingOffsetPx=function(t,e,i){var r="horizontal"===this._orientation,n=e[t].clientRect,o=e[t+-1*i],s=n[r?"width":"height"]*i;if(o){var a=r?"left":"top",c=r?"right":"bottom";-1===i?s-=o.clientRect[a]-n[c]:s+=n[a]-o.clientRect[c]}return s},t.prototype._getItemOffsetPx=function(t,e,i){var r="horizontal"===this._orientation,n=r?e.left-t.left:e.top-t.top;return-1===i&&(n+=r?e.width-t.width:e.height-t.height),n},t.prototype._shouldEnterAsFirstChild=function(t,e){if(!this._activeDraggables.length)return!1;var i=this._itemPositions,r="horizontal"===this._orientation;if(i[0].drag!==this._activeDraggables[0]){var n=i[i.length-1].clientRect;return r?t>=n.right:e>=n.bottom}var o=i[0].clientRect;return r?t<=o.left:e<=o.top},t.prototype._getItemIndexFromPointerPosition=function(t,e,i,r){var n=this,o="horizontal"===this._orientation,s=N(this._itemPositions,(function(s,a,c){var l=s.drag,p=s.clientRect;return l===t?c.length<2:(!r||l!==n._previousSwap.drag||!n._previousSwap.overlaps||(o?r.x:r.y)!==n._previousSwap.delta)&&(o?e>=Math.floor(p.left)&&e<Math.floor(p.right):i>=Math.floor(p.top)&&i<Math.floor(p.bottom))}));return-1!==s&&this.sortPredicate(s,t,this)?s:-1},t.prototype._cacheItems=function(){this._activeDraggables=this._draggables.slice(),this._cacheItemPositions(),this._cacheParentPositions()},t.prototype._isOverContainer=function(t,e){return null!=this._clientRect&&_(this._clientRect,t,e)},t.prototype._getSiblingContainerFromPosition=function(t,e,i){return this._siblings.find((function(r){return r._canReceive(t,e,i)}))},t.prototype._canReceive=function(t,e,i){if(!this._clientRect||!_(this._clientRect,e,i)||!this.enterPredicate(t,this))return!1;var r=this._getShadowRoot().elementFromPoint(e,i);if(!r)return!1;var n=o.coerceElement(this.element);return r===n||n.contains(r)},t.prototype._startReceiving=function(t,e){var i=this,r=this._activeSiblings;!r.has(t)&&e.every((function(t){return i.enterPredicate(t,i)||i._draggables.indexOf(t)>-1}))&&(r.add(t),this._cacheParentPositions(),this._listenToScrollEvents())},t.prototype._stopReceiving=function(t){this._activeSiblings.delete(t),this._viewportScrollSubscription.unsubscribe()},t.prototype._listenToScrollEvents=function(){var t=this;this._viewportScrollSubscription=this._dragDropRegistry.scroll.subscribe((function(e){if(t.isDragging()){var i=t._parentPositions.handleScroll(e);i&&(t._itemPositions.forEach((function(t){f(t.clientRect,i.top,i.left)})),t._itemPositions.forEach((function(e){var i=e.drag;t._dragDropRegistry.isDragging(i)&&i._sortFromLastPointerPosition()})))}else t.isReceiving()&&t._cacheParentPositions()}))},t.prototype._getShadowRoot=function(){if(!this._cachedShadowRoot){var t=n._getShadowRoot(o.coerceElement(this.element));this._cachedShadowRoot=t||this._document}return this._cachedShadowRoot},t.prototype._notifyReceivingSiblings=function(){var t=this,e=this._activeDraggables.filter((function(t){return t.isDragging()}));this._siblings.forEach((function(i){return i._startReceiving(t,e)}))},t}();function N(t,e){for(var i=0;i<t.length;i++)if(e(t[i],i,t))return i;return-1}function F(t,e){t===window?t.scrollBy(0,e):t.scrollTop+=e}function H(t,e){t===window?t.scrollBy(e,0):t.scrollLeft+=e}function V(t,e){var i=t.top,r=t.bottom,n=.05*t.height;return e>=i-n&&e<=i+n?1:e>=r-n&&e<=r+n?2:0}function G(t,e){var i=t.left,r=t.right,n=.05*t.width;return e>=i-n&&e<=i+n?1:e>=r-n&&e<=r+n?2:0}var B=n.normalizePassiveListenerOptions({passive:!1,capture:!0}),U=function(){function t(t,e){var i=this;this._ngZone=t,this._dropInstances=new Set,this._dragInstances=new Set,this._activeDragInstances=[],this._globalListeners=new Map,this._draggingPredicate=function(t){return t.isDragging()},this.pointerMove=new s.Subject,this.pointerUp=new s.Subject,this.scroll=new s.Subject,this._preventDefaultWhileDragging=function(t){i._activeDragInstances.length>0&&t.preventDefault()},this._persistentTouchmoveListener=function(t){i._activeDragInstances.length>0&&(i._activeDragInstances.some(i._draggingPredicate)&&t.preventDefault(),i.pointerMove.next(t))},this._document=e}return t.prototype.registerDropContainer=function(t){this._dropInstances.has(t)||this._dropInstances.add(t)},t.prototype.registerDragItem=function(t){var e=this;this._dragInstances.add(t),1===this._dragInstances.size&&this._ngZone.runOutsideAngular((function(){e._document.addEventListener("touchmove",e._persistentTouchmoveListener,B)}))},t.prototype.removeDropContainer=function(t){this._dropInstances.delete(t)},t.prototype.removeDragItem=function(t){this._dragInstances.delete(t),this.stopDragging(t),0===this._dragInstances.size&&this._document.removeEventListener("touchmove",this._persistentTouchmoveListener,B)},t.prototype.startDragging=function(t,e){var i=this;if(!(this._activeDragInstances.indexOf(t)>-1)&&(this._activeDragInstances.push(t),1===this._activeDragInstances.length)){var r=e.type.startsWith("touch");this._globalListeners.set(r?"touchend":"mouseup",{handler:function(t){return i.pointerUp.next(t)},options:!0}).set("scroll",{handler:function(t){return i.scroll.next(t)},options:!0}).set("selectstart",{handler:this._preventDefaultWhileDragging,options:B}),r||this._globalListeners.set("mousemove",{handler:function(t){return i.pointerMove.next(t)},options:B}),this._ngZone.runOutsideAngular((function(){i._globalListeners.forEach((function(t,e){i._document.addEventListener(e,t.handler,t.options)}))}))}},t.prototype.stopDragging=function(t){var e=this._activeDragInstances.indexOf(t);e>-1&&(this._activeDragInstances.splice(e,1),0===this._activeDragInstances.length&&this._clearGlobalListeners())},t.prototype.isDragging=function(t){return this._activeDragInstances.indexOf(t)>-1},t.prototype.ngOnDestroy=function(){var t=this;this._dragInstances.forEach((function(e){return t.removeDragItem(e)})),this._dropInstances.forEach((function(e){return t.removeDropContainer(e)})),this._clearGlobalListeners(),this.pointerMove.complete(),this.pointerUp.complete()},t.prototype._clearGlobalListeners=function(){var t=this;this._globalListeners.forEach((function(e,i){t._document.removeEventListener(i,e.handler,e.options)})),this._globalListeners.clear()},t}();U.ɵprov=e.ɵɵdefineInjectable({factory:function t(){return new U(e.ɵɵinject(e.NgZone),e.ɵɵinject(i.DOCUMENT))},token:U,providedIn:"root"}),U.decorators=[{type:e.Injectable,args:[{providedIn:"root"}]}],U.ctorParameters=function(){return[{type:e.NgZone},{type:void 0,decorators:[{type:e.Inject,args:[i.DOCUMENT]}]}]};
+     */(t),this._redoStack.push(t),this.changes.next({action:"undo",operation:t}),t):(this.clear(),null):null},t.prototype.redo=function(){var t=this._redoStack.pop();return t?function e(t){var e=t.items,i=t.previousArray,n=t.currentArray;return t.currentIndex<=("move"===t.type?n.length-e.length:n.length)&&t.previousIndices.every((function(t,n){return i[t]===e[n]}))}(t)?(wt(t),this._undoStack.push(t),this.changes.next({action:"redo",operation:t}),t):(this.clear(),null):null},t.prototype.canUndo=function(){return this._undoStack.length>0},t.prototype.canRedo=function(){return this._redoStack.length>0},t.prototype.clear=function(){this._undoStack=[],this._redoStack=[]},t}();function wt(t){var e=t.type,i=t.previousArray,n=t.currentArray,r=t.previousIndices,o=t.currentIndex;"move"===e?rt(n,r,o):"transfer"===e?ot(i,n,r,o):st(i,n,r,o)}It.ɵprov=e.ɵɵdefineInjectable({factory:function t(){return new It},token:It,providedIn:"root"}),It.decorators=[{type:e.Injectable,args:[{providedIn:"root"}]}];var Rt=new e.InjectionToken("CDK_DRAG_PARENT"),Pt=new e.InjectionToken("CDK_RESIZE_PARENT"),kt=new e.InjectionToken("CdkDropListGroup"),Ct=function(){function t(){this._items=new Set,this._disabled=!1}return Object.defineProperty(t.prototype,"disabled",{get:function(){return this._disabled},set:function(t){this._disabled=o.coerceBooleanProperty(t)},enumerable:!1,configurable:!0}),t.prototype.ngOnDestroy=function(){this._items.clear()},t}();
+/**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */Ct.decorators=[{type:e.Directive,args:[{selector:"[cdkDropListGroup]",exportAs:"cdkDropListGroup",providers:[{provide:kt,useExisting:Ct}]}]}],Ct.propDecorators={disabled:[{type:e.Input,args:["cdkDropListGroupDisabled"]}]};
 /**
      * @license
      * Copyright Google LLC All Rights Reserved.
@@ -77,7 +135,14 @@ function j(t,e,i){var r=M(e,t.length-1),n=M(i,t.length-1);if(r!==n){for(var o=t[
      * Use of this source code is governed by an MIT-style license that can be
      * found in the LICENSE file at https://angular.io/license
      */
-var Z={dragStartThreshold:5,pointerDirectionChangeThreshold:5},q=function(){function t(t,e,i,r){this._document=t,this._ngZone=e,this._viewportRuler=i,this._dragDropRegistry=r}return t.prototype.createDrag=function(t,e){return void 0===e&&(e=Z),new R(t,e,this._document,this._ngZone,this._viewportRuler,this._dragDropRegistry)},t.prototype.createDropList=function(t){return new z(t,this._dragDropRegistry,this._document,this._ngZone,this._viewportRuler)},t}();q.ɵprov=e.ɵɵdefineInjectable({factory:function t(){return new q(e.ɵɵinject(i.DOCUMENT),e.ɵɵinject(e.NgZone),e.ɵɵinject(r.ViewportRuler),e.ɵɵinject(U))},token:q,providedIn:"root"}),q.decorators=[{type:e.Injectable,args:[{providedIn:"root"}]}],q.ctorParameters=function(){return[{type:void 0,decorators:[{type:e.Inject,args:[i.DOCUMENT]}]},{type:e.NgZone},{type:r.ViewportRuler},{type:U}]};
+var Tt=new e.InjectionToken("CDK_DRAG_CONFIG"),Ot=0,Lt=new e.InjectionToken("CdkDropList"),At=function(){function t(i,n,r,o,s,c,l,h){var d=this;this.element=i,this._changeDetectorRef=r,this._scrollDispatcher=o,this._dir=s,this._group=c,this._history=h,this._destroyed=new a.Subject,this.connectedTo=[],this.id="cdk-drop-list-"+Ot++,this.enterPredicate=function(){return!0},this.sortPredicate=function(){return!0},this.acceptRules=null,this.autoUpdate=!1,this.nativeEnterPredicate=function(){return!0},this.dropped=new e.EventEmitter,this.entered=new e.EventEmitter,this.exited=new e.EventEmitter,this.sorted=new e.EventEmitter,this.selectionChange=new e.EventEmitter,this.nativeEntered=new e.EventEmitter,this.nativeExited=new e.EventEmitter,this.nativeSorted=new e.EventEmitter,this.nativeDropped=new e.EventEmitter,this.animationDone=new e.EventEmitter,this._unsortedItems=new Set,this._dropListRef=n.createDropList(i),this._dropListRef.data=this,l&&this._assignDefaults(l),this._dropListRef.enterPredicate=function(t,e){return d.enterPredicate(t.data,e.data)},this._dropListRef.sortPredicate=function(t,e,i){return d.sortPredicate(t,e.data,i.data)},this._dropListRef.nativeEnterPredicate=function(t,e){return d.nativeEnterPredicate(t,e.data)},this._setupInputSyncSubscription(this._dropListRef),this._handleEvents(this._dropListRef),t._dropLists.push(this),c&&c._items.add(this)}return Object.defineProperty(t.prototype,"disabled",{get:function(){return this._disabled||!!this._group&&this._group.disabled},set:function(t){this._dropListRef.disabled=this._disabled=o.coerceBooleanProperty(t)},enumerable:!1,configurable:!0}),Object.defineProperty(t.prototype,"multiSelect",{get:function(){return this._dropListRef.multiSelect},set:function(t){this._dropListRef.multiSelect=o.coerceBooleanProperty(t)},enumerable:!1,configurable:!0}),Object.defineProperty(t.prototype,"nativeDropsEnabled",{get:function(){return this._dropListRef.nativeDropsEnabled},set:function(t){this._dropListRef.nativeDropsEnabled=o.coerceBooleanProperty(t)},enumerable:!1,configurable:!0}),t.prototype.addItem=function(t){this._unsortedItems.add(t),this._dropListRef.isDragging()&&this._syncItemsWithRef()},t.prototype.removeItem=function(t){this._unsortedItems.delete(t),this._dropListRef.deselectItem(t._dragRef),this._dropListRef.isDragging()&&this._syncItemsWithRef()},t.prototype.getSortedItems=function(){return Array.from(this._unsortedItems).sort((function(t,e){return t._dragRef.getVisibleElement().compareDocumentPosition(e._dragRef.getVisibleElement())&Node.DOCUMENT_POSITION_FOLLOWING?-1:1}))},t.prototype.getSelectedItems=function(){return this._syncItemsWithRef(),this._dropListRef.getSelectedItems().map((function(t){return t.data}))},t.prototype.selectItem=function(t){this._dropListRef.selectItem(t._dragRef)},t.prototype.deselectItem=function(t){this._dropListRef.deselectItem(t._dragRef)},t.prototype.clearSelection=function(){this._dropListRef.clearSelection()},t.prototype.ngOnDestroy=function(){var e=t._dropLists.indexOf(this);e>-1&&t._dropLists.splice(e,1),this._group&&this._group._items.delete(this),this._unsortedItems.clear(),this._dropListRef.dispose(),this._destroyed.next(),this._destroyed.complete()},t.prototype._setupInputSyncSubscription=function(e){var i=this;this._dir&&this._dir.change.pipe(c.startWith(this._dir.value),c.takeUntil(this._destroyed)).subscribe((function(t){return e.withDirection(t)})),e.beforeStarted.subscribe((function(){var n=o.coerceArray(i.connectedTo).map((function(e){return"string"==typeof e?t._dropLists.find((function(t){return t.id===e})):e}));if(i._group&&i._group._items.forEach((function(t){-1===n.indexOf(t)&&n.push(t)})),!i._scrollableParentsResolved){var r=i._scrollDispatcher.getAncestorScrollContainers(i.element).map((function(t){return t.getElementRef().nativeElement}));i._dropListRef.withScrollableParents(r),i._scrollableParentsResolved=!0}e.disabled=i.disabled,e.lockAxis=i.lockAxis,e.sortingDisabled=o.coerceBooleanProperty(i.sortingDisabled),e.autoScrollDisabled=o.coerceBooleanProperty(i.autoScrollDisabled),e.autoScrollStep=o.coerceNumberProperty(i.autoScrollStep,2),e.animationFn=i.animationFn||null,e.acceptRules=i.acceptRules,e.connectedTo(n.filter((function(t){return t&&t!==i})).map((function(t){return t._dropListRef}))).withOrientation(i.orientation)}))},t.prototype._handleEvents=function(t){var e=this;t.beforeStarted.subscribe((function(){e._syncItemsWithRef(),e._changeDetectorRef.markForCheck()})),t.entered.subscribe((function(t){e.entered.emit({container:e,item:t.item.data,currentIndex:t.currentIndex})})),t.exited.subscribe((function(t){e.exited.emit({container:e,item:t.item.data}),e._changeDetectorRef.markForCheck()})),t.sorted.subscribe((function(t){e.sorted.emit({previousIndex:t.previousIndex,currentIndex:t.currentIndex,container:e,item:t.item.data})})),t.animationDone.subscribe((function(t){e.animationDone.emit({container:e,item:t.item?t.item.data:null,type:t.type,element:t.element})})),t.beforeSelectionChanged.subscribe((function(){return e._syncItemsWithRef()})),t.selectionChanged.subscribe((function(t){e.selectionChange.emit({container:e,items:t.items.map((function(t){return t.data}))}),e._changeDetectorRef.markForCheck()})),t.nativeEntered.subscribe((function(t){e.nativeEntered.emit({container:e,currentIndex:t.currentIndex,event:t.event}),e._changeDetectorRef.markForCheck()})),t.nativeExited.subscribe((function(t){e.nativeExited.emit({container:e,event:t.event}),e._changeDetectorRef.markForCheck()})),t.nativeSorted.subscribe((function(t){e.nativeSorted.emit({container:e,previousIndex:t.previousIndex,currentIndex:t.currentIndex,event:t.event})})),t.nativeDropped.subscribe((function(t){e.nativeDropped.emit({container:e,currentIndex:t.currentIndex,dataTransfer:t.dataTransfer,files:Array.from(t.dataTransfer.files||[]),event:t.event}),e._changeDetectorRef.markForCheck()})),t.dropped.subscribe((function(t){var i={previousIndex:t.previousIndex,currentIndex:t.currentIndex,previousIndices:t.previousIndices,previousContainer:t.previousContainer.data,container:t.container.data,item:t.item.data,items:t.items.map((function(t){return t.data})),isPointerOverContainer:t.isPointerOverContainer,distance:t.distance,dropEffect:t.dropEffect};o.coerceBooleanProperty(e.autoUpdate)&&e._history&&"link"!==t.dropEffect&&e._history.apply(i),e.dropped.emit(i),e._changeDetectorRef.markForCheck()}))},t.prototype._assignDefaults=function(t){var e=t.lockAxis,i=t.draggingDisabled,n=t.sortingDisabled,r=t.listAutoScrollDisabled,o=t.listOrientation,s=t.animationFn;this.disabled=null!=i&&i,this.sortingDisabled=null!=n&&n,this.autoScrollDisabled=null!=r&&r,this.orientation=o||"vertical",e&&(this.lockAxis=e),s&&(this.animationFn=s)},t.prototype._syncItemsWithRef=function(){this._dropListRef.withItems(this.getSortedItems().map((function(t){return t._dragRef})))},t}();
+/**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */At._dropLists=[],At.decorators=[{type:e.Directive,args:[{selector:"[cdkDropList], cdk-drop-list",exportAs:"cdkDropList",providers:[{provide:kt,useValue:void 0},{provide:Lt,useExisting:At}],host:{class:"cdk-drop-list","[attr.id]":"id","[class.cdk-drop-list-disabled]":"disabled","[class.cdk-drop-list-dragging]":"_dropListRef.isDragging()","[class.cdk-drop-list-receiving]":"_dropListRef.isReceiving()","[class.cdk-drop-list-refusing]":"_dropListRef.isRefusing()"}}]}],At.ctorParameters=function(){return[{type:e.ElementRef},{type:xt},{type:e.ChangeDetectorRef},{type:n.ScrollDispatcher},{type:l.Directionality,decorators:[{type:e.Optional}]},{type:Ct,decorators:[{type:e.Optional},{type:e.Inject,args:[kt]},{type:e.SkipSelf}]},{type:void 0,decorators:[{type:e.Optional},{type:e.Inject,args:[Tt]}]},{type:It,decorators:[{type:e.Optional}]}]},At.propDecorators={connectedTo:[{type:e.Input,args:["cdkDropListConnectedTo"]}],data:[{type:e.Input,args:["cdkDropListData"]}],orientation:[{type:e.Input,args:["cdkDropListOrientation"]}],id:[{type:e.Input}],lockAxis:[{type:e.Input,args:["cdkDropListLockAxis"]}],disabled:[{type:e.Input,args:["cdkDropListDisabled"]}],sortingDisabled:[{type:e.Input,args:["cdkDropListSortingDisabled"]}],enterPredicate:[{type:e.Input,args:["cdkDropListEnterPredicate"]}],sortPredicate:[{type:e.Input,args:["cdkDropListSortPredicate"]}],acceptRules:[{type:e.Input,args:["cdkDropListAccepts"]}],autoUpdate:[{type:e.Input,args:["cdkDropListAutoUpdate"]}],autoScrollDisabled:[{type:e.Input,args:["cdkDropListAutoScrollDisabled"]}],autoScrollStep:[{type:e.Input,args:["cdkDropListAutoScrollStep"]}],multiSelect:[{type:e.Input,args:["cdkDropListMultiSelect"]}],nativeDropsEnabled:[{type:e.Input,args:["cdkDropListNativeDropsEnabled"]}],nativeEnterPredicate:[{type:e.Input,args:["cdkDropListNativeEnterPredicate"]}],animationFn:[{type:e.Input,args:["cdkDropListAnimation"]}],dropped:[{type:e.Output,args:["cdkDropListDropped"]}],entered:[{type:e.Output,args:["cdkDropListEntered"]}],exited:[{type:e.Output,args:["cdkDropListExited"]}],sorted:[{type:e.Output,args:["cdkDropListSorted"]}],selectionChange:[{type:e.Output,args:["cdkDropListSelectionChange"]}],nativeEntered:[{type:e.Output,args:["cdkDropListNativeEntered"]}],nativeExited:[{type:e.Output,args:["cdkDropListNativeExited"]}],nativeSorted:[{type:e.Output,args:["cdkDropListNativeSorted"]}],nativeDropped:[{type:e.Output,args:["cdkDropListNativeDropped"]}],animationDone:[{type:e.Output,args:["cdkDropListAnimationDone"]}]};
 /**
      * @license
      * Copyright Google LLC All Rights Reserved.
@@ -85,14 +150,15 @@ var Z={dragStartThreshold:5,pointerDirectionChangeThreshold:5},q=function(){func
      * Use of this source code is governed by an MIT-style license that can be
      * found in the LICENSE file at https://angular.io/license
      */
-var W=new e.InjectionToken("CDK_DRAG_PARENT"),K=new e.InjectionToken("CdkDropListGroup"),Y=function(){function t(){this._items=new Set,this._disabled=!1}return Object.defineProperty(t.prototype,"disabled",{get:function(){return this._disabled},set:function(t){this._disabled=o.coerceBooleanProperty(t)},enumerable:!1,configurable:!0}),t.prototype.ngOnDestroy=function(){this._items.clear()},t}();
+var zt=new e.InjectionToken("CdkDragHandle"),Nt=function(){function t(t,e){this.element=t,this._stateChanges=new a.Subject,this._disabled=!1,this._parentDrag=e}return Object.defineProperty(t.prototype,"disabled",{get:function(){return this._disabled},set:function(t){this._disabled=o.coerceBooleanProperty(t),this._stateChanges.next(this)},enumerable:!1,configurable:!0}),t.prototype.ngOnDestroy=function(){this._stateChanges.complete()},t}();Nt.decorators=[{type:e.Directive,args:[{selector:"[cdkDragHandle]",host:{class:"cdk-drag-handle"},providers:[{provide:zt,useExisting:Nt}]}]}],Nt.ctorParameters=function(){return[{type:e.ElementRef},{type:void 0,decorators:[{type:e.Inject,args:[Rt]},{type:e.Optional},{type:e.SkipSelf}]}]},Nt.propDecorators={disabled:[{type:e.Input,args:["cdkDragHandleDisabled"]}]};
 /**
      * @license
      * Copyright Google LLC All Rights Reserved.
      *
      * Use of this source code is governed by an MIT-style license that can be
      * found in the LICENSE file at https://angular.io/license
-     */Y.decorators=[{type:e.Directive,args:[{selector:"[cdkDropListGroup]",exportAs:"cdkDropListGroup",providers:[{provide:K,useExisting:Y}]}]}],Y.propDecorators={disabled:[{type:e.Input,args:["cdkDropListGroupDisabled"]}]};
+     */
+var Mt,jt=new e.InjectionToken("CdkDragPlaceholder");(Mt=function Mt(t){this.templateRef=t}).decorators=[{type:e.Directive,args:[{selector:"ng-template[cdkDragPlaceholder]",providers:[{provide:jt,useExisting:Mt}]}]}],Mt.ctorParameters=function(){return[{type:e.TemplateRef}]},Mt.propDecorators={data:[{type:e.Input}]};
 /**
      * @license
      * Copyright Google LLC All Rights Reserved.
@@ -100,14 +166,15 @@ var W=new e.InjectionToken("CDK_DRAG_PARENT"),K=new e.InjectionToken("CdkDropLis
      * Use of this source code is governed by an MIT-style license that can be
      * found in the LICENSE file at https://angular.io/license
      */
-var X=new e.InjectionToken("CDK_DRAG_CONFIG"),J=0,Q=new e.InjectionToken("CdkDropList"),$=function(){function t(i,r,n,o,a,c,l){var p=this;this.element=i,this._changeDetectorRef=n,this._scrollDispatcher=o,this._dir=a,this._group=c,this._destroyed=new s.Subject,this.connectedTo=[],this.id="cdk-drop-list-"+J++,this.enterPredicate=function(){return!0},this.sortPredicate=function(){return!0},this.dropped=new e.EventEmitter,this.entered=new e.EventEmitter,this.exited=new e.EventEmitter,this.sorted=new e.EventEmitter,this._unsortedItems=new Set,this._dropListRef=r.createDropList(i),this._dropListRef.data=this,l&&this._assignDefaults(l),this._dropListRef.enterPredicate=function(t,e){return p.enterPredicate(t.data,e.data)},this._dropListRef.sortPredicate=function(t,e,i){return p.sortPredicate(t,e.data,i.data)},this._setupInputSyncSubscription(this._dropListRef),this._handleEvents(this._dropListRef),t._dropLists.push(this),c&&c._items.add(this)}return Object.defineProperty(t.prototype,"disabled",{get:function(){return this._disabled||!!this._group&&this._group.disabled},set:function(t){this._dropListRef.disabled=this._disabled=o.coerceBooleanProperty(t)},enumerable:!1,configurable:!0}),t.prototype.addItem=function(t){this._unsortedItems.add(t),this._dropListRef.isDragging()&&this._syncItemsWithRef()},t.prototype.removeItem=function(t){this._unsortedItems.delete(t),this._dropListRef.isDragging()&&this._syncItemsWithRef()},t.prototype.getSortedItems=function(){return Array.from(this._unsortedItems).sort((function(t,e){return t._dragRef.getVisibleElement().compareDocumentPosition(e._dragRef.getVisibleElement())&Node.DOCUMENT_POSITION_FOLLOWING?-1:1}))},t.prototype.ngOnDestroy=function(){var e=t._dropLists.indexOf(this);e>-1&&t._dropLists.splice(e,1),this._group&&this._group._items.delete(this),this._unsortedItems.clear(),this._dropListRef.dispose(),this._destroyed.next(),this._destroyed.complete()},t.prototype._setupInputSyncSubscription=function(e){var i=this;this._dir&&this._dir.change.pipe(a.startWith(this._dir.value),a.takeUntil(this._destroyed)).subscribe((function(t){return e.withDirection(t)})),e.beforeStarted.subscribe((function(){var r=o.coerceArray(i.connectedTo).map((function(e){return"string"==typeof e?t._dropLists.find((function(t){return t.id===e})):e}));if(i._group&&i._group._items.forEach((function(t){-1===r.indexOf(t)&&r.push(t)})),!i._scrollableParentsResolved){var n=i._scrollDispatcher.getAncestorScrollContainers(i.element).map((function(t){return t.getElementRef().nativeElement}));i._dropListRef.withScrollableParents(n),i._scrollableParentsResolved=!0}e.disabled=i.disabled,e.lockAxis=i.lockAxis,e.sortingDisabled=o.coerceBooleanProperty(i.sortingDisabled),e.autoScrollDisabled=o.coerceBooleanProperty(i.autoScrollDisabled),e.autoScrollStep=o.coerceNumberProperty(i.autoScrollStep,2),e.connectedTo(r.filter((function(t){return t&&t!==i})).map((function(t){return t._dropListRef}))).withOrientation(i.orientation)}))},t.prototype._handleEvents=function(t){var e=this;t.beforeStarted.subscribe((function(){e._syncItemsWithRef(),e._changeDetectorRef.markForCheck()})),t.entered.subscribe((function(t){e.entered.emit({container:e,item:t.item.data,currentIndex:t.currentIndex})})),t.exited.subscribe((function(t){e.exited.emit({container:e,item:t.item.data}),e._changeDetectorRef.markForCheck()})),t.sorted.subscribe((function(t){e.sorted.emit({previousIndex:t.previousIndex,currentIndex:t.currentIndex,container:e,item:t.item.data})})),t.dropped.subscribe((function(t){e.dropped.emit({previousIndex:t.previousIndex,currentIndex:t.currentIndex,previousContainer:t.previousContainer.data,container:t.container.data,item:t.item.data,isPointerOverContainer:t.isPointerOverContainer,distance:t.distance}),e._changeDetectorRef.markForCheck()}))},t.prototype._assignDefaults=function(t){var e=t.lockAxis,i=t.draggingDisabled,r=t.sortingDisabled,n=t.listAutoScrollDisabled,o=t.listOrientation;this.disabled=null!=i&&i,this.sortingDisabled=null!=r&&r,this.autoScrollDisabled=null!=n&&n,this.orientation=o||"vertical",e&&(this.lockAxis=e)},t.prototype._syncItemsWithRef=function(){this._dropListRef.withItems(this.getSortedItems().map((function(t){return t._dragRef})))},t}();
+var Ht=new e.InjectionToken("CdkDragPreview"),Ft=function(){function t(t){this.templateRef=t,this._matchSize=!1}return Object.defineProperty(t.prototype,"matchSize",{get:function(){return this._matchSize},set:function(t){this._matchSize=o.coerceBooleanProperty(t)},enumerable:!1,configurable:!0}),t}();Ft.decorators=[{type:e.Directive,args:[{selector:"ng-template[cdkDragPreview]",providers:[{provide:Ht,useExisting:Ft}]}]}],Ft.ctorParameters=function(){return[{type:e.TemplateRef}]},Ft.propDecorators={data:[{type:e.Input}],matchSize:[{type:e.Input}]};
 /**
      * @license
      * Copyright Google LLC All Rights Reserved.
      *
      * Use of this source code is governed by an MIT-style license that can be
      * found in the LICENSE file at https://angular.io/license
-     */$._dropLists=[],$.decorators=[{type:e.Directive,args:[{selector:"[cdkDropList], cdk-drop-list",exportAs:"cdkDropList",providers:[{provide:K,useValue:void 0},{provide:Q,useExisting:$}],host:{class:"cdk-drop-list","[attr.id]":"id","[class.cdk-drop-list-disabled]":"disabled","[class.cdk-drop-list-dragging]":"_dropListRef.isDragging()","[class.cdk-drop-list-receiving]":"_dropListRef.isReceiving()"}}]}],$.ctorParameters=function(){return[{type:e.ElementRef},{type:q},{type:e.ChangeDetectorRef},{type:r.ScrollDispatcher},{type:c.Directionality,decorators:[{type:e.Optional}]},{type:Y,decorators:[{type:e.Optional},{type:e.Inject,args:[K]},{type:e.SkipSelf}]},{type:void 0,decorators:[{type:e.Optional},{type:e.Inject,args:[X]}]}]},$.propDecorators={connectedTo:[{type:e.Input,args:["cdkDropListConnectedTo"]}],data:[{type:e.Input,args:["cdkDropListData"]}],orientation:[{type:e.Input,args:["cdkDropListOrientation"]}],id:[{type:e.Input}],lockAxis:[{type:e.Input,args:["cdkDropListLockAxis"]}],disabled:[{type:e.Input,args:["cdkDropListDisabled"]}],sortingDisabled:[{type:e.Input,args:["cdkDropListSortingDisabled"]}],enterPredicate:[{type:e.Input,args:["cdkDropListEnterPredicate"]}],sortPredicate:[{type:e.Input,args:["cdkDropListSortPredicate"]}],autoScrollDisabled:[{type:e.Input,args:["cdkDropListAutoScrollDisabled"]}],autoScrollStep:[{type:e.Input,args:["cdkDropListAutoScrollStep"]}],dropped:[{type:e.Output,args:["cdkDropListDropped"]}],entered:[{type:e.Output,args:["cdkDropListEntered"]}],exited:[{type:e.Output,args:["cdkDropListExited"]}],sorted:[{type:e.Output,args:["cdkDropListSorted"]}]};
+     */
+var Kt=new e.InjectionToken("CdkDragCanvas"),Bt=function(){function t(t,i,n){var r=this;this.element=t,this._changeDetectorRef=n,this.gridSize=0,this.guideThreshold=5,this.preventOverlap=!1,this.dropped=new e.EventEmitter,this._canvasRef=i.createDragCanvas(t),this._canvasRef.data=this,this._canvasRef.beforeStarted.subscribe((function(){r._canvasRef.gridSize=o.coerceNumberProperty(r.gridSize),r._canvasRef.guideThreshold=o.coerceNumberProperty(r.guideThreshold),r._canvasRef.preventOverlap=o.coerceBooleanProperty(r.preventOverlap)})),this._canvasRef.dropped.subscribe((function(t){r.dropped.emit({container:r,item:t.item.data,position:t.position,previousPosition:t.previousPosition}),r._changeDetectorRef.markForCheck()}))}return t.prototype.addItem=function(t){this._canvasRef.addItem(t._dragRef)},t.prototype.removeItem=function(t){this._canvasRef.removeItem(t._dragRef)},t.prototype.getItemPosition=function(t){return this._canvasRef.getItemPosition(t._dragRef)},t.prototype.setItemPosition=function(t,e){this._canvasRef.setItemPosition(t._dragRef,e)},t.prototype.ngOnDestroy=function(){this._canvasRef.dispose()},t}();Bt.decorators=[{type:e.Directive,args:[{selector:"[cdkDragCanvas]",exportAs:"cdkDragCanvas",providers:[{provide:Lt,useValue:void 0},{provide:Kt,useExisting:Bt}],host:{class:"cdk-drag-canvas","[class.cdk-drag-canvas-dragging]":"_canvasRef.isDragging()"}}]}],Bt.ctorParameters=function(){return[{type:e.ElementRef},{type:xt},{type:e.ChangeDetectorRef}]},Bt.propDecorators={data:[{type:e.Input,args:["cdkDragCanvasData"]}],gridSize:[{type:e.Input,args:["cdkDragCanvasGridSize"]}],guideThreshold:[{type:e.Input,args:["cdkDragCanvasGuideThreshold"]}],preventOverlap:[{type:e.Input,args:["cdkDragCanvasPreventOverlap"]}],dropped:[{type:e.Output,args:["cdkDragCanvasDropped"]}]};
 /**
      * @license
      * Copyright Google LLC All Rights Reserved.
@@ -115,7 +182,7 @@ var X=new e.InjectionToken("CDK_DRAG_CONFIG"),J=0,Q=new e.InjectionToken("CdkDro
      * Use of this source code is governed by an MIT-style license that can be
      * found in the LICENSE file at https://angular.io/license
      */
-var tt=new e.InjectionToken("CdkDragHandle"),et=function(){function t(t,e){this.element=t,this._stateChanges=new s.Subject,this._disabled=!1,this._parentDrag=e}return Object.defineProperty(t.prototype,"disabled",{get:function(){return this._disabled},set:function(t){this._disabled=o.coerceBooleanProperty(t),this._stateChanges.next(this)},enumerable:!1,configurable:!0}),t.prototype.ngOnDestroy=function(){this._stateChanges.complete()},t}();et.decorators=[{type:e.Directive,args:[{selector:"[cdkDragHandle]",host:{class:"cdk-drag-handle"},providers:[{provide:tt,useExisting:et}]}]}],et.ctorParameters=function(){return[{type:e.ElementRef},{type:void 0,decorators:[{type:e.Inject,args:[W]},{type:e.Optional},{type:e.SkipSelf}]}]},et.propDecorators={disabled:[{type:e.Input,args:["cdkDragHandleDisabled"]}]};
+var Wt=function(){function t(){}return t.prototype.getMessage=function(t){var e=t.currentIndex+1;switch(t.action){case"started":return"Picked up item at position "+e+". Use the arrow keys to move it, space or enter to drop it and escape to cancel.";case"moved":return"Moved to position "+e+".";case"dropped":return"Dropped item at position "+e+".";case"cancelled":return"Dragging cancelled. Item returned to position "+e+"."}},t}();Wt.ɵprov=e.ɵɵdefineInjectable({factory:function t(){return new Wt},token:Wt,providedIn:"root"}),Wt.decorators=[{type:e.Injectable,args:[{providedIn:"root"}]}];var Vt=function(){function t(i,n,r,o,s,l,h,d,p,u,g,_,f,m,v){var y=this;this.element=i,this.dropContainer=n,this._ngZone=o,this._viewContainerRef=s,this._dir=h,this._changeDetectorRef=p,this._selfHandle=u,this._parentDrag=g,this._liveAnnouncer=_,this._canvas=f,this._scrollDispatcher=m,this._keyboardIntl=v,this._destroyed=new a.Subject,this.autoScrollDisabled=!0,this._keyboardDraggingEnabled=!1,this._nativeData=null,this.started=new e.EventEmitter,this.released=new e.EventEmitter,this.ended=new e.EventEmitter,this.entered=new e.EventEmitter,this.exited=new e.EventEmitter,this.dropped=new e.EventEmitter,this.nativeStarted=new e.EventEmitter,this.nativeEnded=new e.EventEmitter,this.dropEffectChanged=new e.EventEmitter,this.animationDone=new e.EventEmitter,this.keyboardAction=new e.EventEmitter,this.moved=new a.Observable((function(t){var e=y._dragRef.moved.pipe(c.map((function(t){return{source:y,pointerPosition:t.pointerPosition,event:t.event,delta:t.delta,distance:t.distance,level:t.level}}))).subscribe(t);return function(){e.unsubscribe()}})),this._initialTabIndex=i.nativeElement.getAttribute("tabindex"),this._dragRef=d.createDrag(i,{dragStartThreshold:l&&null!=l.dragStartThreshold?l.dragStartThreshold:5,pointerDirectionChangeThreshold:l&&null!=l.pointerDirectionChangeThreshold?l.pointerDirectionChangeThreshold:5,zIndex:null==l?void 0:l.zIndex}),this._dragRef.data=this,t._dragInstances.push(this),l&&this._assignDefaults(l),n?(this._dragRef._withDropContainer(n._dropListRef),n.addItem(this)):f&&f.addItem(this),this._syncInputs(this._dragRef),this._handleEvents(this._dragRef)}return Object.defineProperty(t.prototype,"disabled",{get:function(){return this._disabled||this.dropContainer&&this.dropContainer.disabled},set:function(t){this._disabled=o.coerceBooleanProperty(t),this._dragRef.disabled=this._disabled},enumerable:!1,configurable:!0}),Object.defineProperty(t.prototype,"keyboardDraggingEnabled",{get:function(){return this._keyboardDraggingEnabled},set:function(t){this._keyboardDraggingEnabled=o.coerceBooleanProperty(t),this._dragRef.keyboardDraggingEnabled=this._keyboardDraggingEnabled},enumerable:!1,configurable:!0}),Object.defineProperty(t.prototype,"nativeData",{get:function(){return this._nativeData},set:function(t){this._nativeData=t||null,this._dragRef.withNativeDragData(this._nativeData)},enumerable:!1,configurable:!0}),t.prototype.getPlaceholderElement=function(){return this._dragRef.getPlaceholderElement()},t.prototype.getRootElement=function(){return this._dragRef.getRootElement()},t.prototype.reset=function(){this._dragRef.reset()},t.prototype.getFreeDragPosition=function(){return this._dragRef.getFreeDragPosition()},t.prototype.ngAfterViewInit=function(){var t=this;this._ngZone.onStable.pipe(c.take(1),c.takeUntil(this._destroyed)).subscribe((function(){t._updateRootElement(),t._handles.changes.pipe(c.startWith(t._handles),c.tap((function(e){var i=e.filter((function(e){return e._parentDrag===t})).map((function(t){return t.element}));t._selfHandle&&t.rootElementSelector&&i.push(t.element),t._dragRef.withHandles(i)})),c.switchMap((function(t){return a.merge.apply(void 0,j(t.map((function(t){return t._stateChanges.pipe(c.startWith(t))}))))})),c.takeUntil(t._destroyed)).subscribe((function(e){var i=t._dragRef,n=e.element.nativeElement;e.disabled?i.disableHandle(n):i.enableHandle(n)})),t.freeDragPosition&&t._dragRef.setFreeDragPosition(t.freeDragPosition)}))},t.prototype.ngOnChanges=function(t){var e=t.rootElementSelector,i=t.freeDragPosition;e&&!e.firstChange&&this._updateRootElement(),i&&!i.firstChange&&this.freeDragPosition&&this._dragRef.setFreeDragPosition(this.freeDragPosition)},t.prototype.ngOnDestroy=function(){this.dropContainer&&this.dropContainer.removeItem(this),this._canvas&&!this.dropContainer&&this._canvas.removeItem(this);var e=t._dragInstances.indexOf(this);e>-1&&t._dragInstances.splice(e,1),this._destroyed.next(),this._destroyed.complete(),this._dragRef.dispose()},t.prototype._updateRootElement=function(){var t=this.element.nativeElement,e=this.rootElementSelector?D(t,this.rootElementSelector):t;this._dragRef.withRootElement(e||t)},t.prototype._getBoundaryElement=function(){var t=this.boundaryElement;return t?"string"==typeof t?D(this.element.nativeElement,t):o.coerceElement(t):null},t.prototype._syncInputs=function(e){var i=this;e.beforeStarted.subscribe((function(){if(!e.isDragging()){var t=i._dir,n=i.dragStartDelay,r=i._placeholderTemplate?{template:i._placeholderTemplate.templateRef,context:i._placeholderTemplate.data,viewContainer:i._viewContainerRef}:null,s=i._previewTemplate?{template:i._previewTemplate.templateRef,context:i._previewTemplate.data,matchSize:i._previewTemplate.matchSize,viewContainer:i._viewContainerRef}:null;e.disabled=i.disabled,e.lockAxis=i.lockAxis,e.dragStartDelay="object"==typeof n&&n?n:o.coerceNumberProperty(n),e.constrainPosition=i.constrainPosition,e.previewClass=i.previewClass,e.autoScrollDisabled=o.coerceBooleanProperty(i.autoScrollDisabled),e.autoScrollThreshold=o.coerceNumberProperty(i.autoScrollThreshold,50),i.autoScrollSpeed&&(e.autoScrollSpeed=i.autoScrollSpeed),e.animationFn=i.animationFn||null,e.kinds=i.kind?o.coerceArray(i.kind):[],!i._scrollableParentsResolved&&i._scrollDispatcher&&(e.withScrollableParents(i._scrollDispatcher.getAncestorScrollContainers(i.element).map((function(t){return t.getElementRef().nativeElement}))),i._scrollableParentsResolved=!0),e.withBoundaryElement(i._getBoundaryElement()).withPlaceholderTemplate(r).withPreviewTemplate(s).withPreviewContainer(i.previewContainer||"global"),t&&e.withDirection(t.value)}})),e.beforeStarted.pipe(c.take(1)).subscribe((function(){var n,r;if(i._parentDrag)e.withParent(i._parentDrag._dragRef);else for(var o=i.element.nativeElement.parentElement;o;){if(null===(n=o.classList)||void 0===n?void 0:n.contains("cdk-drag")){e.withParent((null===(r=t._dragInstances.find((function(t){return t.element.nativeElement===o})))||void 0===r?void 0:r._dragRef)||null);break}o=o.parentElement}}))},t.prototype._getTabIndex=function(){return null!=this._initialTabIndex||!this.keyboardDraggingEnabled||!this.dropContainer||this.disabled||this._handles&&this._handles.length?this._initialTabIndex:"0"},t.prototype._getKeyboardMessage=function(t){return this.keyboardMessage?this.keyboardMessage(t):this._keyboardIntl?this._keyboardIntl.getMessage(t):""},t.prototype._handleEvents=function(t){var e=this;t.started.subscribe((function(){e.started.emit({source:e}),e._changeDetectorRef.markForCheck()})),t.released.subscribe((function(){e.released.emit({source:e})})),t.ended.subscribe((function(t){e.ended.emit({source:e,distance:t.distance}),e._changeDetectorRef.markForCheck()})),t.entered.subscribe((function(t){e.entered.emit({container:t.container.data,item:e,currentIndex:t.currentIndex})})),t.exited.subscribe((function(t){e.exited.emit({container:t.container.data,item:e})})),t.dropped.subscribe((function(t){e.dropped.emit({previousIndex:t.previousIndex,currentIndex:t.currentIndex,previousIndices:t.previousIndices,previousContainer:t.previousContainer.data,container:t.container.data,isPointerOverContainer:t.isPointerOverContainer,item:e,items:t.items.map((function(t){return t.data})),distance:t.distance,dropEffect:t.dropEffect})})),t.dropEffectChanged.subscribe((function(t){e._ngZone.run((function(){e.dropEffectChanged.emit({source:e,container:t.container.data,effect:t.effect})}))})),t.nativeDragStarted.subscribe((function(t){e.nativeStarted.emit({source:e,event:t.event})})),t.nativeDragEnded.subscribe((function(t){e.nativeEnded.emit({source:e,dropEffect:t.dropEffect,event:t.event}),e._changeDetectorRef.markForCheck()})),t.animationDone.subscribe((function(t){e.animationDone.emit({source:e,type:t.type,element:t.element})})),t.keyboardAction.subscribe((function(t){var i={source:e,action:t.action,container:t.container.data,currentIndex:t.currentIndex};e.keyboardAction.emit(i),e._liveAnnouncer&&e._liveAnnouncer.announce(e._getKeyboardMessage(i)),e._changeDetectorRef.markForCheck()}))},t.prototype._assignDefaults=function(t){var e=t.lockAxis,i=t.dragStartDelay,n=t.constrainPosition,r=t.previewClass,o=t.boundaryElement,s=t.draggingDisabled,a=t.rootElementSelector,c=t.previewContainer,l=t.keyboardDraggingEnabled,h=t.keyboardMessage,d=t.dragAutoScrollDisabled,p=t.dragAutoScrollThreshold,u=t.dragAutoScrollSpeed,g=t.animationFn;this.disabled=null!=s&&s,this.dragStartDelay=i||0,e&&(this.lockAxis=e),n&&(this.constrainPosition=n),r&&(this.previewClass=r),o&&(this.boundaryElement=o),a&&(this.rootElementSelector=a),c&&(this.previewContainer=c),null!=l&&(this.keyboardDraggingEnabled=l),h&&(this.keyboardMessage=h),null!=d&&(this.autoScrollDisabled=d),null!=p&&(this.autoScrollThreshold=p),u&&(this.autoScrollSpeed=u),g&&(this.animationFn=g)},t}();Vt._dragInstances=[],Vt.decorators=[{type:e.Directive,args:[{selector:"[cdkDrag]",exportAs:"cdkDrag",host:{class:"cdk-drag","[class.cdk-drag-disabled]":"disabled","[class.cdk-drag-dragging]":"_dragRef.isDragging()","[class.cdk-drag-selected]":"_dragRef.isSelected()","[class.cdk-drag-keyboard-dragging]":"_dragRef.isKeyboardDragging()","[attr.tabindex]":"_getTabIndex()"},providers:[{provide:Rt,useExisting:Vt}]}]}],Vt.ctorParameters=function(){return[{type:e.ElementRef},{type:void 0,decorators:[{type:e.Inject,args:[Lt]},{type:e.Optional},{type:e.SkipSelf}]},{type:void 0,decorators:[{type:e.Inject,args:[i.DOCUMENT]}]},{type:e.NgZone},{type:e.ViewContainerRef},{type:void 0,decorators:[{type:e.Optional},{type:e.Inject,args:[Tt]}]},{type:l.Directionality,decorators:[{type:e.Optional}]},{type:xt},{type:e.ChangeDetectorRef},{type:Nt,decorators:[{type:e.Optional},{type:e.Self},{type:e.Inject,args:[zt]}]},{type:Vt,decorators:[{type:e.Optional},{type:e.SkipSelf},{type:e.Inject,args:[Rt]}]},{type:h.LiveAnnouncer,decorators:[{type:e.Optional}]},{type:Bt,decorators:[{type:e.Optional},{type:e.SkipSelf},{type:e.Inject,args:[Kt]}]},{type:n.ScrollDispatcher,decorators:[{type:e.Optional}]},{type:Wt,decorators:[{type:e.Optional}]}]},Vt.propDecorators={_handles:[{type:e.ContentChildren,args:[zt,{descendants:!0}]}],_previewTemplate:[{type:e.ContentChild,args:[Ht]}],_placeholderTemplate:[{type:e.ContentChild,args:[jt]}],data:[{type:e.Input,args:["cdkDragData"]}],kind:[{type:e.Input,args:["cdkDragKind"]}],lockAxis:[{type:e.Input,args:["cdkDragLockAxis"]}],rootElementSelector:[{type:e.Input,args:["cdkDragRootElement"]}],boundaryElement:[{type:e.Input,args:["cdkDragBoundary"]}],dragStartDelay:[{type:e.Input,args:["cdkDragStartDelay"]}],autoScrollDisabled:[{type:e.Input,args:["cdkDragAutoScrollDisabled"]}],autoScrollThreshold:[{type:e.Input,args:["cdkDragAutoScrollThreshold"]}],autoScrollSpeed:[{type:e.Input,args:["cdkDragAutoScrollSpeed"]}],animationFn:[{type:e.Input,args:["cdkDragAnimation"]}],freeDragPosition:[{type:e.Input,args:["cdkDragFreeDragPosition"]}],disabled:[{type:e.Input,args:["cdkDragDisabled"]}],constrainPosition:[{type:e.Input,args:["cdkDragConstrainPosition"]}],previewClass:[{type:e.Input,args:["cdkDragPreviewClass"]}],previewContainer:[{type:e.Input,args:["cdkDragPreviewContainer"]}],keyboardDraggingEnabled:[{type:e.Input,args:["cdkDragKeyboardDraggingEnabled"]}],keyboardMessage:[{type:e.Input,args:["cdkDragKeyboardMessage"]}],nativeData:[{type:e.Input,args:["cdkDragNativeData"]}],started:[{type:e.Output,args:["cdkDragStarted"]}],released:[{type:e.Output,args:["cdkDragReleased"]}],ended:[{type:e.Output,args:["cdkDragEnded"]}],entered:[{type:e.Output,args:["cdkDragEntered"]}],exited:[{type:e.Output,args:["cdkDragExited"]}],dropped:[{type:e.Output,args:["cdkDragDropped"]}],nativeStarted:[{type:e.Output,args:["cdkDragNativeStarted"]}],nativeEnded:[{type:e.Output,args:["cdkDragNativeEnded"]}],dropEffectChanged:[{type:e.Output,args:["cdkDragDropEffectChanged"]}],animationDone:[{type:e.Output,args:["cdkDragAnimationDone"]}],keyboardAction:[{type:e.Output,args:["cdkDragKeyboardAction"]}],moved:[{type:e.Output,args:["cdkDragMoved"]}]};
 /**
      * @license
      * Copyright Google LLC All Rights Reserved.
@@ -123,7 +190,7 @@ var tt=new e.InjectionToken("CdkDragHandle"),et=function(){function t(t,e){this.
      * Use of this source code is governed by an MIT-style license that can be
      * found in the LICENSE file at https://angular.io/license
      */
-var it,rt=new e.InjectionToken("CdkDragPlaceholder");(it=function it(t){this.templateRef=t}).decorators=[{type:e.Directive,args:[{selector:"ng-template[cdkDragPlaceholder]",providers:[{provide:rt,useExisting:it}]}]}],it.ctorParameters=function(){return[{type:e.TemplateRef}]},it.propDecorators={data:[{type:e.Input}]};
+var Zt=new e.InjectionToken("CdkResizeHandle"),Gt=function(){function t(t,e){this.element=t,this._stateChanges=new a.Subject,this._position="bottom-end",this._parentResizable=e}return Object.defineProperty(t.prototype,"position",{get:function(){return this._position},set:function(t){this._position=t||"bottom-end",this._stateChanges.next(this)},enumerable:!1,configurable:!0}),t.prototype.ngOnDestroy=function(){this._stateChanges.complete()},t}();Gt.decorators=[{type:e.Directive,args:[{selector:"[cdkResizeHandle]",host:{class:"cdk-resize-handle",tabindex:"0"},providers:[{provide:Zt,useExisting:Gt}]}]}],Gt.ctorParameters=function(){return[{type:e.ElementRef},{type:void 0,decorators:[{type:e.Inject,args:[Pt]},{type:e.Optional},{type:e.SkipSelf}]}]},Gt.propDecorators={position:[{type:e.Input,args:["cdkResizeHandle"]}]};var Ut=function(){function t(t,i,n,r,o,s){this.element=t,this._changeDetectorRef=n,this._dir=r,this._destroyed=new a.Subject,this.started=new e.EventEmitter,this.resized=new e.EventEmitter,this.ended=new e.EventEmitter,this._resizeRef=i.createResizable(t,{dragStartThreshold:o&&null!=o.dragStartThreshold?o.dragStartThreshold:5,pointerDirectionChangeThreshold:o&&null!=o.pointerDirectionChangeThreshold?o.pointerDirectionChangeThreshold:5,parentDragRef:s?s._dragRef:void 0}),this._resizeRef.data=this,this._syncInputs(this._resizeRef),this._handleEvents(this._resizeRef)}return Object.defineProperty(t.prototype,"disabled",{get:function(){return this._resizeRef.disabled},set:function(t){this._resizeRef.disabled=o.coerceBooleanProperty(t)},enumerable:!1,configurable:!0}),t.prototype.ngAfterViewInit=function(){var t=this;this._handles.changes.pipe(c.startWith(this._handles),c.switchMap((function(t){return a.merge.apply(void 0,j(t.map((function(t){return t._stateChanges})))).pipe(c.startWith(null))})),c.takeUntil(this._destroyed)).subscribe((function(){t._resizeRef.withHandles(t._handles.filter((function(e){return e._parentResizable===t})).map((function(t){return{element:t.element,position:t.position}})))}))},t.prototype.ngOnDestroy=function(){this._destroyed.next(),this._destroyed.complete(),this._resizeRef.dispose()},t.prototype._syncInputs=function(t){var e=this;this._dir&&this._dir.change.pipe(c.startWith(this._dir.value),c.takeUntil(this._destroyed)).subscribe((function(e){return t.withDirection(e)})),t.beforeStarted.subscribe((function(){t.minWidth=o.coerceNumberProperty(e.minWidth,0),t.maxWidth=o.coerceNumberProperty(e.maxWidth,1/0),t.minHeight=o.coerceNumberProperty(e.minHeight,0),t.maxHeight=o.coerceNumberProperty(e.maxHeight,1/0),t.lockAspectRatio=o.coerceBooleanProperty(e.lockAspectRatio),t.keyboardStep=o.coerceNumberProperty(e.keyboardStep,10),t.withBoundaryElement(e._getBoundaryElement())}))},t.prototype._handleEvents=function(t){var e=this;t.started.subscribe((function(t){e.started.emit({source:e,handle:e._getHandle(t.handle)}),e._changeDetectorRef.markForCheck()})),t.resized.subscribe((function(t){e.resized.emit({source:e,handle:e._getHandle(t.handle),width:t.width,height:t.height}),e._changeDetectorRef.markForCheck()})),t.ended.subscribe((function(t){e.ended.emit({source:e,handle:e._getHandle(t.handle),width:t.width,height:t.height}),e._changeDetectorRef.markForCheck()}))},t.prototype._getHandle=function(t){return this._handles.find((function(e){return e.element.nativeElement===t}))},t.prototype._getBoundaryElement=function(){var t=this.boundaryElement;return t?"string"==typeof t?D(this.element.nativeElement,t):o.coerceElement(t):null},t}();Ut.decorators=[{type:e.Directive,args:[{selector:"[cdkResizable]",exportAs:"cdkResizable",host:{class:"cdk-resizable","[class.cdk-resizable-disabled]":"disabled","[class.cdk-resizable-resizing]":"_resizeRef.isResizing()"},providers:[{provide:Pt,useExisting:Ut},{provide:d.CDK_TABLE_RESIZABLE,useExisting:Ut}]}]}],Ut.ctorParameters=function(){return[{type:e.ElementRef},{type:xt},{type:e.ChangeDetectorRef},{type:l.Directionality,decorators:[{type:e.Optional}]},{type:void 0,decorators:[{type:e.Optional},{type:e.Inject,args:[Tt]}]},{type:void 0,decorators:[{type:e.Optional},{type:e.SkipSelf},{type:e.Inject,args:[Rt]}]}]},Ut.propDecorators={_handles:[{type:e.ContentChildren,args:[Zt,{descendants:!0}]}],data:[{type:e.Input,args:["cdkResizableData"]}],minWidth:[{type:e.Input,args:["cdkResizableMinWidth"]}],maxWidth:[{type:e.Input,args:["cdkResizableMaxWidth"]}],minHeight:[{type:e.Input,args:["cdkResizableMinHeight"]}],maxHeight:[{type:e.Input,args:["cdkResizableMaxHeight"]}],lockAspectRatio:[{type:e.Input,args:["cdkResizableLockAspectRatio"]}],boundaryElement:[{type:e.Input,args:["cdkResizableBoundary"]}],keyboardStep:[{type:e.Input,args:["cdkResizableKeyboardStep"]}],disabled:[{type:e.Input,args:["cdkResizableDisabled"]}],started:[{type:e.Output,args:["cdkResizableStarted"]}],resized:[{type:e.Output,args:["cdkResizableResized"]}],ended:[{type:e.Output,args:["cdkResizableEnded"]}]};
 /**
      * @license
      * Copyright Google LLC All Rights Reserved.
@@ -131,14 +198,14 @@ var it,rt=new e.InjectionToken("CdkDragPlaceholder");(it=function it(t){this.tem
      * Use of this source code is governed by an MIT-style license that can be
      * found in the LICENSE file at https://angular.io/license
      */
-var nt=new e.InjectionToken("CdkDragPreview"),ot=function(){function t(t){this.templateRef=t,this._matchSize=!1}return Object.defineProperty(t.prototype,"matchSize",{get:function(){return this._matchSize},set:function(t){this._matchSize=o.coerceBooleanProperty(t)},enumerable:!1,configurable:!0}),t}();ot.decorators=[{type:e.Directive,args:[{selector:"ng-template[cdkDragPreview]",providers:[{provide:nt,useExisting:ot}]}]}],ot.ctorParameters=function(){return[{type:e.TemplateRef}]},ot.propDecorators={data:[{type:e.Input}],matchSize:[{type:e.Input}]};var st,at=function(){function t(i,r,n,o,c,l,p,h,d,u,g){var _=this;this.element=i,this.dropContainer=r,this._ngZone=o,this._viewContainerRef=c,this._dir=p,this._changeDetectorRef=d,this._selfHandle=u,this._parentDrag=g,this._destroyed=new s.Subject,this.started=new e.EventEmitter,this.released=new e.EventEmitter,this.ended=new e.EventEmitter,this.entered=new e.EventEmitter,this.exited=new e.EventEmitter,this.dropped=new e.EventEmitter,this.moved=new s.Observable((function(t){var e=_._dragRef.moved.pipe(a.map((function(t){return{source:_,pointerPosition:t.pointerPosition,event:t.event,delta:t.delta,distance:t.distance}}))).subscribe(t);return function(){e.unsubscribe()}})),this._dragRef=h.createDrag(i,{dragStartThreshold:l&&null!=l.dragStartThreshold?l.dragStartThreshold:5,pointerDirectionChangeThreshold:l&&null!=l.pointerDirectionChangeThreshold?l.pointerDirectionChangeThreshold:5,zIndex:null==l?void 0:l.zIndex}),this._dragRef.data=this,t._dragInstances.push(this),l&&this._assignDefaults(l),r&&(this._dragRef._withDropContainer(r._dropListRef),r.addItem(this)),this._syncInputs(this._dragRef),this._handleEvents(this._dragRef)}return Object.defineProperty(t.prototype,"disabled",{get:function(){return this._disabled||this.dropContainer&&this.dropContainer.disabled},set:function(t){this._disabled=o.coerceBooleanProperty(t),this._dragRef.disabled=this._disabled},enumerable:!1,configurable:!0}),t.prototype.getPlaceholderElement=function(){return this._dragRef.getPlaceholderElement()},t.prototype.getRootElement=function(){return this._dragRef.getRootElement()},t.prototype.reset=function(){this._dragRef.reset()},t.prototype.getFreeDragPosition=function(){return this._dragRef.getFreeDragPosition()},t.prototype.ngAfterViewInit=function(){var t=this;this._ngZone.onStable.pipe(a.take(1),a.takeUntil(this._destroyed)).subscribe((function(){t._updateRootElement(),t._handles.changes.pipe(a.startWith(t._handles),a.tap((function(e){var i=e.filter((function(e){return e._parentDrag===t})).map((function(t){return t.element}));t._selfHandle&&t.rootElementSelector&&i.push(t.element),t._dragRef.withHandles(i)})),a.switchMap((function(t){return s.merge.apply(void 0,A(t.map((function(t){return t._stateChanges.pipe(a.startWith(t))}))))})),a.takeUntil(t._destroyed)).subscribe((function(e){var i=t._dragRef,r=e.element.nativeElement;e.disabled?i.disableHandle(r):i.enableHandle(r)})),t.freeDragPosition&&t._dragRef.setFreeDragPosition(t.freeDragPosition)}))},t.prototype.ngOnChanges=function(t){var e=t.rootElementSelector,i=t.freeDragPosition;e&&!e.firstChange&&this._updateRootElement(),i&&!i.firstChange&&this.freeDragPosition&&this._dragRef.setFreeDragPosition(this.freeDragPosition)},t.prototype.ngOnDestroy=function(){this.dropContainer&&this.dropContainer.removeItem(this);var e=t._dragInstances.indexOf(this);e>-1&&t._dragInstances.splice(e,1),this._destroyed.next(),this._destroyed.complete(),this._dragRef.dispose()},t.prototype._updateRootElement=function(){var t=this.element.nativeElement,e=this.rootElementSelector?ct(t,this.rootElementSelector):t;this._dragRef.withRootElement(e||t)},t.prototype._getBoundaryElement=function(){var t=this.boundaryElement;return t?"string"==typeof t?ct(this.element.nativeElement,t):o.coerceElement(t):null},t.prototype._syncInputs=function(e){var i=this;e.beforeStarted.subscribe((function(){if(!e.isDragging()){var t=i._dir,r=i.dragStartDelay,n=i._placeholderTemplate?{template:i._placeholderTemplate.templateRef,context:i._placeholderTemplate.data,viewContainer:i._viewContainerRef}:null,s=i._previewTemplate?{template:i._previewTemplate.templateRef,context:i._previewTemplate.data,matchSize:i._previewTemplate.matchSize,viewContainer:i._viewContainerRef}:null;e.disabled=i.disabled,e.lockAxis=i.lockAxis,e.dragStartDelay="object"==typeof r&&r?r:o.coerceNumberProperty(r),e.constrainPosition=i.constrainPosition,e.previewClass=i.previewClass,e.withBoundaryElement(i._getBoundaryElement()).withPlaceholderTemplate(n).withPreviewTemplate(s).withPreviewContainer(i.previewContainer||"global"),t&&e.withDirection(t.value)}})),e.beforeStarted.pipe(a.take(1)).subscribe((function(){var r,n;if(i._parentDrag)e.withParent(i._parentDrag._dragRef);else for(var o=i.element.nativeElement.parentElement;o;){if(null===(r=o.classList)||void 0===r?void 0:r.contains("cdk-drag")){e.withParent((null===(n=t._dragInstances.find((function(t){return t.element.nativeElement===o})))||void 0===n?void 0:n._dragRef)||null);break}o=o.parentElement}}))},t.prototype._handleEvents=function(t){var e=this;t.started.subscribe((function(){e.started.emit({source:e}),e._changeDetectorRef.markForCheck()})),t.released.subscribe((function(){e.released.emit({source:e})})),t.ended.subscribe((function(t){e.ended.emit({source:e,distance:t.distance}),e._changeDetectorRef.markForCheck()})),t.entered.subscribe((function(t){e.entered.emit({container:t.container.data,item:e,currentIndex:t.currentIndex})})),t.exited.subscribe((function(t){e.exited.emit({container:t.container.data,item:e})})),t.dropped.subscribe((function(t){e.dropped.emit({previousIndex:t.previousIndex,currentIndex:t.currentIndex,previousContainer:t.previousContainer.data,container:t.container.data,isPointerOverContainer:t.isPointerOverContainer,item:e,distance:t.distance})}))},t.prototype._assignDefaults=function(t){var e=t.lockAxis,i=t.dragStartDelay,r=t.constrainPosition,n=t.previewClass,o=t.boundaryElement,s=t.draggingDisabled,a=t.rootElementSelector,c=t.previewContainer;this.disabled=null!=s&&s,this.dragStartDelay=i||0,e&&(this.lockAxis=e),r&&(this.constrainPosition=r),n&&(this.previewClass=n),o&&(this.boundaryElement=o),a&&(this.rootElementSelector=a),c&&(this.previewContainer=c)},t}();function ct(t,e){for(var i=t.parentElement;i;){if(i.matches?i.matches(e):i.msMatchesSelector(e))return i;i=i.parentElement}return null}
+var qt,Yt=function(){function t(t){this._defaultHistory=t,this._disabled=!1,this._history=t}return Object.defineProperty(t.prototype,"history",{get:function(){return this._history},set:function(t){this._history=t||this._defaultHistory},enumerable:!1,configurable:!0}),Object.defineProperty(t.prototype,"disabled",{get:function(){return this._disabled},set:function(t){this._disabled=o.coerceBooleanProperty(t)},enumerable:!1,configurable:!0}),t.prototype._handleKeydown=function(t){if(!this.disabled&&s.hasModifierKey(t,"ctrlKey","metaKey")&&!s.hasModifierKey(t,"altKey")&&!function e(t){if(!t||!t.nodeName)return!1;var e=t.nodeName.toLowerCase();return"input"===e||"textarea"===e||!!t.isContentEditable}
 /**
      * @license
      * Copyright Google LLC All Rights Reserved.
      *
      * Use of this source code is governed by an MIT-style license that can be
      * found in the LICENSE file at https://angular.io/license
-     */at._dragInstances=[],at.decorators=[{type:e.Directive,args:[{selector:"[cdkDrag]",exportAs:"cdkDrag",host:{class:"cdk-drag","[class.cdk-drag-disabled]":"disabled","[class.cdk-drag-dragging]":"_dragRef.isDragging()"},providers:[{provide:W,useExisting:at}]}]}],at.ctorParameters=function(){return[{type:e.ElementRef},{type:void 0,decorators:[{type:e.Inject,args:[Q]},{type:e.Optional},{type:e.SkipSelf}]},{type:void 0,decorators:[{type:e.Inject,args:[i.DOCUMENT]}]},{type:e.NgZone},{type:e.ViewContainerRef},{type:void 0,decorators:[{type:e.Optional},{type:e.Inject,args:[X]}]},{type:c.Directionality,decorators:[{type:e.Optional}]},{type:q},{type:e.ChangeDetectorRef},{type:et,decorators:[{type:e.Optional},{type:e.Self},{type:e.Inject,args:[tt]}]},{type:at,decorators:[{type:e.Optional},{type:e.SkipSelf},{type:e.Inject,args:[W]}]}]},at.propDecorators={_handles:[{type:e.ContentChildren,args:[tt,{descendants:!0}]}],_previewTemplate:[{type:e.ContentChild,args:[nt]}],_placeholderTemplate:[{type:e.ContentChild,args:[rt]}],data:[{type:e.Input,args:["cdkDragData"]}],lockAxis:[{type:e.Input,args:["cdkDragLockAxis"]}],rootElementSelector:[{type:e.Input,args:["cdkDragRootElement"]}],boundaryElement:[{type:e.Input,args:["cdkDragBoundary"]}],dragStartDelay:[{type:e.Input,args:["cdkDragStartDelay"]}],freeDragPosition:[{type:e.Input,args:["cdkDragFreeDragPosition"]}],disabled:[{type:e.Input,args:["cdkDragDisabled"]}],constrainPosition:[{type:e.Input,args:["cdkDragConstrainPosition"]}],previewClass:[{type:e.Input,args:["cdkDragPreviewClass"]}],previewContainer:[{type:e.Input,args:["cdkDragPreviewContainer"]}],started:[{type:e.Output,args:["cdkDragStarted"]}],released:[{type:e.Output,args:["cdkDragReleased"]}],ended:[{type:e.Output,args:["cdkDragEnded"]}],entered:[{type:e.Output,args:["cdkDragEntered"]}],exited:[{type:e.Output,args:["cdkDragExited"]}],dropped:[{type:e.Output,args:["cdkDragDropped"]}],moved:[{type:e.Output,args:["cdkDragMoved"]}]},(st=function st(){}).decorators=[{type:e.NgModule,args:[{declarations:[$,Y,at,et,ot,it],exports:[r.CdkScrollableModule,$,Y,at,et,ot,it],providers:[q]}]}],
+     */(t.target)){var i=t.keyCode,n=s.hasModifierKey(t,"shiftKey"),r=null;i===s.Z&&n||i===s.Y&&!n?r=this._history.redo():i===s.Z&&(r=this._history.undo()),r&&t.preventDefault()}},t}();Yt.decorators=[{type:e.Directive,args:[{selector:"[cdkDragDropHistory]",exportAs:"cdkDragDropHistory",host:{"(keydown)":"_handleKeydown($event)"}}]}],Yt.ctorParameters=function(){return[{type:It}]},Yt.propDecorators={history:[{type:e.Input,args:["cdkDragDropHistory"]}],disabled:[{type:e.Input,args:["cdkDragDropHistoryDisabled"]}]},(qt=function qt(){}).decorators=[{type:e.NgModule,args:[{declarations:[At,Ct,Vt,Nt,Ft,Mt,Bt,Ut,Gt,Yt],exports:[n.CdkScrollableModule,At,Ct,Vt,Nt,Ft,Mt,Bt,Ut,Gt,Yt],providers:[xt]}]}],
 /**
      * @license
      * Copyright Google LLC All Rights Reserved.
@@ -146,4 +213,4 @@ var nt=new e.InjectionToken("CdkDragPreview"),ot=function(){function t(t){this.t
      * Use of this source code is governed by an MIT-style license that can be
      * found in the LICENSE file at https://angular.io/license
      */
-t.CDK_DRAG_CONFIG=X,t.CDK_DRAG_HANDLE=tt,t.CDK_DRAG_PARENT=W,t.CDK_DRAG_PLACEHOLDER=rt,t.CDK_DRAG_PREVIEW=nt,t.CDK_DROP_LIST=Q,t.CDK_DROP_LIST_GROUP=K,t.CdkDrag=at,t.CdkDragHandle=et,t.CdkDragPlaceholder=it,t.CdkDragPreview=ot,t.CdkDropList=$,t.CdkDropListGroup=Y,t.DragDrop=q,t.DragDropModule=st,t.DragDropRegistry=U,t.DragRef=R,t.DropListRef=z,t.copyArrayItem=function lt(t,e,i,r){var n=M(r,e.length);t.length&&e.splice(n,0,t[i])},t.moveItemInArray=j,t.transferArrayItem=function pt(t,e,i,r){var n=M(i,t.length-1),o=M(r,e.length);t.length&&e.splice(o,0,t.splice(n,1)[0])},Object.defineProperty(t,"__esModule",{value:!0})}));
\ No newline at end of file
+t.CDK_DRAG_CANVAS=Kt,t.CDK_DRAG_CONFIG=Tt,t.CDK_DRAG_HANDLE=zt,t.CDK_DRAG_PARENT=Rt,t.CDK_DRAG_PLACEHOLDER=jt,t.CDK_DRAG_PREVIEW=Ht,t.CDK_DROP_LIST=Lt,t.CDK_DROP_LIST_GROUP=kt,t.CDK_RESIZE_HANDLE=Zt,t.CDK_RESIZE_PARENT=Pt,t.CdkDrag=Vt,t.CdkDragCanvas=Bt,t.CdkDragDropHistory=Yt,t.CdkDragHandle=Nt,t.CdkDragKeyboardIntl=Wt,t.CdkDragPlaceholder=Mt,t.CdkDragPreview=Ft,t.CdkDropList=At,t.CdkDropListGroup=Ct,t.CdkResizable=Ut,t.CdkResizeHandle=Gt,t.DragCanvasRef=gt,t.DragDrop=xt,t.DragDropHistory=It,t.DragDropModule=qt,t.DragDropRegistry=St,t.DragRef=X,t.DropListRef=ht,t.ResizeRef=yt,t.copyArrayItem=function Xt(t,e,i,n){var r=lt(n,e.length);t.length&&e.splice(r,0,t[i])},t.copyArrayItems=st,t.moveItemInArray=nt,t.moveItemsInArray=rt,t.transferArrayItem=function $t(t,e,i,n){var r=lt(i,t.length-1),o=lt(n,e.length);t.length&&e.splice(o,0,t.splice(r,1)[0])},t.transferArrayItems=ot,t.ɵ0=void 0,Object.defineProperty(t,"__esModule",{value:!0})}));
\ No newline at end of file
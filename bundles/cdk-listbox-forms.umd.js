@@ -0,0 +1,78 @@
+(function (global, factory) {
+    typeof exports === 'object' && typeof module !== 'undefined' ? factory(exports, require('@angular/cdk/listbox'), require('@angular/core'), require('@angular/forms')) :
+    typeof define === 'function' && define.amd ? define('@angular/cdk/listbox/forms', ['exports', '@angular/cdk/listbox', '@angular/core', '@angular/forms'], factory) :
+    (global = global || self, factory((global.ng = global.ng || {}, global.ng.cdk = global.ng.cdk || {}, global.ng.cdk.listbox = global.ng.cdk.listbox || {}, global.ng.cdk.listbox.forms = {}), global.ng.cdk.listbox, global.ng.core, global.ng.forms));
+}(this, (function (exports, listbox, core, forms) { 'use strict';
+
+    /**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+    /**
+     * Provider that allows the listbox to register as a ControlValueAccessor.
+     * @docs-private
+     */
+    var CDK_LISTBOX_VALUE_ACCESSOR = {
+        provide: forms.NG_VALUE_ACCESSOR,
+        useExisting: listbox.CdkListbox,
+        multi: true
+    };
+    /**
+     * Registers a `CdkListbox` as the value accessor of the form control on the same element. Lives
+     * in its own entry point so that the listbox can be used without bringing in `@angular/forms`.
+     */
+    var CdkListboxValueAccessor = /** @class */ (function () {
+        function CdkListboxValueAccessor() {
+        }
+        return CdkListboxValueAccessor;
+    }());
+    CdkListboxValueAccessor.decorators = [
+        { type: core.Directive, args: [{
+                    selector: '[cdkListbox][formControl], [cdkListbox][formControlName], [cdkListbox][ngModel]',
+                    providers: [CDK_LISTBOX_VALUE_ACCESSOR],
+                },] }
+    ];
+
+    /**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+    var EXPORTED_DECLARATIONS = [CdkListboxValueAccessor];
+    var CdkListboxFormsModule = /** @class */ (function () {
+        function CdkListboxFormsModule() {
+        }
+        return CdkListboxFormsModule;
+    }());
+    CdkListboxFormsModule.decorators = [
+        { type: core.NgModule, args: [{
+                    exports: EXPORTED_DECLARATIONS,
+                    declarations: EXPORTED_DECLARATIONS,
+                },] }
+    ];
+
+    /**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+
+    /**
+     * Generated bundle index. Do not edit.
+     */
+
+    exports.CDK_LISTBOX_VALUE_ACCESSOR = CDK_LISTBOX_VALUE_ACCESSOR;
+    exports.CdkListboxFormsModule = CdkListboxFormsModule;
+    exports.CdkListboxValueAccessor = CdkListboxValueAccessor;
+
+    Object.defineProperty(exports, '__esModule', { value: true });
+
+})));
+//# sourceMappingURL=cdk-listbox-forms.umd.js.map
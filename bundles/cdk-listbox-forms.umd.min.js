@@ -0,0 +1,24 @@
+!function(o,e){"object"==typeof exports&&"undefined"!=typeof module?e(exports,require("@angular/cdk/listbox"),require("@angular/core"),require("@angular/forms")):"function"==typeof define&&define.amd?define("@angular/cdk/listbox/forms",["exports","@angular/cdk/listbox","@angular/core","@angular/forms"],e):e(((o=o||self).ng=o.ng||{},o.ng.cdk=o.ng.cdk||{},o.ng.cdk.listbox=o.ng.cdk.listbox||{},o.ng.cdk.listbox.forms={}),o.ng.cdk.listbox,o.ng.core,o.ng.forms)}(this,(function(o,e,r,t){"use strict";
+/**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */var s,n={provide:t.NG_VALUE_ACCESSOR,useExisting:e.CdkListbox,multi:!0};(s=function s(){}).decorators=[{type:r.Directive,args:[{selector:"[cdkListbox][formControl], [cdkListbox][formControlName], [cdkListbox][ngModel]",providers:[n]}]}];
+/**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+var i,d=[s];(i=function i(){}).decorators=[{type:r.NgModule,args:[{exports:d,declarations:d}]}],
+/**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+o.CDK_LISTBOX_VALUE_ACCESSOR=n,o.CdkListboxFormsModule=i,o.CdkListboxValueAccessor=s,Object.defineProperty(o,"__esModule",{value:!0})}));
\ No newline at end of file
@@ -0,0 +1,885 @@
+(function (global, factory) {
+    typeof exports === 'object' && typeof module !== 'undefined' ? factory(exports, require('@angular/cdk/a11y'), require('@angular/cdk/bidi'), require('@angular/cdk/coercion'), require('@angular/cdk/collections'), require('@angular/cdk/keycodes'), require('@angular/core'), require('rxjs'), require('rxjs/operators')) :
+    typeof define === 'function' && define.amd ? define('@angular/cdk/listbox', ['exports', '@angular/cdk/a11y', '@angular/cdk/bidi', '@angular/cdk/coercion', '@angular/cdk/collections', '@angular/cdk/keycodes', '@angular/core', 'rxjs', 'rxjs/operators'], factory) :
+    (global = global || self, factory((global.ng = global.ng || {}, global.ng.cdk = global.ng.cdk || {}, global.ng.cdk.listbox = {}), global.ng.cdk.a11y, global.ng.cdk.bidi, global.ng.cdk.coercion, global.ng.cdk.collections, global.ng.cdk.keycodes, global.ng.core, global.rxjs, global.rxjs.operators));
+}(this, (function (exports, a11y, bidi, coercion, collections, keycodes, core, rxjs, operators) { 'use strict';
+
+    /*! *****************************************************************************
+    Copyright (c) Microsoft Corporation.
+
+    Permission to use, copy, modify, and/or distribute this software for any
+    purpose with or without fee is hereby granted.
+
+    THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES WITH
+    REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF MERCHANTABILITY
+    AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY SPECIAL, DIRECT,
+    INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES WHATSOEVER RESULTING FROM
+    LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION OF CONTRACT, NEGLIGENCE OR
+    OTHER TORTIOUS ACTION, ARISING OUT OF OR IN CONNECTION WITH THE USE OR
+    PERFORMANCE OF THIS SOFTWARE.
+    ***************************************************************************** */
+    /* global Reflect, Promise */
+    var extendStatics = function (d, b) {
+        extendStatics = Object.setPrototypeOf ||
+            ({ __proto__: [] } instanceof Array && function (d, b) { d.__proto__ = b; }) ||
+            function (d, b) { for (var p in b)
+                if (Object.prototype.hasOwnProperty.call(b, p))
+                    d[p] = b[p]; };
+        return extendStatics(d, b);
+    };
+    function __extends(d, b) {
+        if (typeof b !== "function" && b !== null)
+            throw new TypeError("Class extends value " + String(b) + " is not a constructor or null");
+        extendStatics(d, b);
+        function __() { this.constructor = d; }
+        d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
+    }
+    var __assign = function () {
+        __assign = Object.assign || function __assign(t) {
+            for (var s, i = 1, n = arguments.length; i < n; i++) {
+                s = arguments[i];
+                for (var p in s)
+                    if (Object.prototype.hasOwnProperty.call(s, p))
+                        t[p] = s[p];
+            }
+            return t;
+        };
+        return __assign.apply(this, arguments);
+    };
+    function __rest(s, e) {
+        var t = {};
+        for (var p in s)
+            if (Object.prototype.hasOwnProperty.call(s, p) && e.indexOf(p) < 0)
+                t[p] = s[p];
+        if (s != null && typeof Object.getOwnPropertySymbols === "function")
+            for (var i = 0, p = Object.getOwnPropertySymbols(s); i < p.length; i++) {
+                if (e.indexOf(p[i]) < 0 && Object.prototype.propertyIsEnumerable.call(s, p[i]))
+                    t[p[i]] = s[p[i]];
+            }
+        return t;
+    }
+    function __decorate(decorators, target, key, desc) {
+        var c = arguments.length, r = c < 3 ? target : desc === null ? desc = Object.getOwnPropertyDescriptor(target, key) : desc, d;
+        if (typeof Reflect === "object" && typeof Reflect.decorate === "function")
+            r = Reflect.decorate(decorators, target, key, desc);
+        else
+            for (var i = decorators.length - 1; i >= 0; i--)
+                if (d = decorators[i])
+                    r = (c < 3 ? d(r) : c > 3 ? d(target, key, r) : d(target, key)) || r;
+        return c > 3 && r && Object.defineProperty(target, key, r), r;
+    }
+    function __param(paramIndex, decorator) {
+        return function (target, key) { decorator(target, key, paramIndex); };
+    }
+    function __metadata(metadataKey, metadataValue) {
+        if (typeof Reflect === "object" && typeof Reflect.metadata === "function")
+            return Reflect.metadata(metadataKey, metadataValue);
+    }
+    function __awaiter(thisArg, _arguments, P, generator) {
+        function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+        return new (P || (P = Promise))(function (resolve, reject) {
+            function fulfilled(value) { try {
+                step(generator.next(value));
+            }
+            catch (e) {
+                reject(e);
+            } }
+            function rejected(value) { try {
+                step(generator["throw"](value));
+            }
+            catch (e) {
+                reject(e);
+            } }
+            function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+            step((generator = generator.apply(thisArg, _arguments || [])).next());
+        });
+    }
+    function __generator(thisArg, body) {
+        var _ = { label: 0, sent: function () { if (t[0] & 1)
+                throw t[1]; return t[1]; }, trys: [], ops: [] }, f, y, t, g;
+        return g = { next: verb(0), "throw": verb(1), "return": verb(2) }, typeof Symbol === "function" && (g[Symbol.iterator] = function () { return this; }), g;
+        function verb(n) { return function (v) { return step([n, v]); }; }
+        function step(op) {
+            if (f)
+                throw new TypeError("Generator is already executing.");
+            while (_)
+                try {
+                    if (f = 1, y && (t = op[0] & 2 ? y["return"] : op[0] ? y["throw"] || ((t = y["return"]) && t.call(y), 0) : y.next) && !(t = t.call(y, op[1])).done)
+                        return t;
+                    if (y = 0, t)
+                        op = [op[0] & 2, t.value];
+                    switch (op[0]) {
+                        case 0:
+                        case 1:
+                            t = op;
+                            break;
+                        case 4:
+                            _.label++;
+                            return { value: op[1], done: false };
+                        case 5:
+                            _.label++;
+                            y = op[1];
+                            op = [0];
+                            continue;
+                        case 7:
+                            op = _.ops.pop();
+                            _.trys.pop();
+                            continue;
+                        default:
+                            if (!(t = _.trys, t = t.length > 0 && t[t.length - 1]) && (op[0] === 6 || op[0] === 2)) {
+                                _ = 0;
+                                continue;
+                            }
+                            if (op[0] === 3 && (!t || (op[1] > t[0] && op[1] < t[3]))) {
+                                _.label = op[1];
+                                break;
+                            }
+                            if (op[0] === 6 && _.label < t[1]) {
+                                _.label = t[1];
+                                t = op;
+                                break;
+                            }
+                            if (t && _.label < t[2]) {
+                                _.label = t[2];
+                                _.ops.push(op);
+                                break;
+                            }
+                            if (t[2])
+                                _.ops.pop();
+                            _.trys.pop();
+                            continue;
+                    }
+                    op = body.call(thisArg, _);
+                }
+                catch (e) {
+                    op = [6, e];
+                    y = 0;
+                }
+                finally {
+                    f = t = 0;
+                }
+            if (op[0] & 5)
+                throw op[1];
+            return { value: op[0] ? op[1] : void 0, done: true };
+        }
+    }
+    var __createBinding = Object.create ? (function (o, m, k, k2) {
+        if (k2 === undefined)
+            k2 = k;
+        Object.defineProperty(o, k2, { enumerable: true, get: function () { return m[k]; } });
+    }) : (function (o, m, k, k2) {
+        if (k2 === undefined)
+            k2 = k;
+        o[k2] = m[k];
+    });
+    function __exportStar(m, o) {
+        for (var p in m)
+            if (p !== "default" && !Object.prototype.hasOwnProperty.call(o, p))
+                __createBinding(o, m, p);
+    }
+    function __values(o) {
+        var s = typeof Symbol === "function" && Symbol.iterator, m = s && o[s], i = 0;
+        if (m)
+            return m.call(o);
+        if (o && typeof o.length === "number")
+            return {
+                next: function () {
+                    if (o && i >= o.length)
+                        o = void 0;
+                    return { value: o && o[i++], done: !o };
+                }
+            };
+        throw new TypeError(s ? "Object is not iterable." : "Symbol.iterator is not defined.");
+    }
+    function __read(o, n) {
+        var m = typeof Symbol === "function" && o[Symbol.iterator];
+        if (!m)
+            return o;
+        var i = m.call(o), r, ar = [], e;
+        try {
+            while ((n === void 0 || n-- > 0) && !(r = i.next()).done)
+                ar.push(r.value);
+        }
+        catch (error) {
+            e = { error: error };
+        }
+        finally {
+            try {
+                if (r && !r.done && (m = i["return"]))
+                    m.call(i);
+            }
+            finally {
+                if (e)
+                    throw e.error;
+            }
+        }
+        return ar;
+    }
+    /** @deprecated */
+    function __spread() {
+        for (var ar = [], i = 0; i < arguments.length; i++)
+            ar = ar.concat(__read(arguments[i]));
+        return ar;
+    }
+    /** @deprecated */
+    function __spreadArrays() {
+        for (var s = 0, i = 0, il = arguments.length; i < il; i++)
+            s += arguments[i].length;
+        for (var r = Array(s), k = 0, i = 0; i < il; i++)
+            for (var a = arguments[i], j = 0, jl = a.length; j < jl; j++, k++)
+                r[k] = a[j];
+        return r;
+    }
+    function __spreadArray(to, from) {
+        for (var i = 0, il = from.length, j = to.length; i < il; i++, j++)
+            to[j] = from[i];
+        return to;
+    }
+    function __await(v) {
+        return this instanceof __await ? (this.v = v, this) : new __await(v);
+    }
+    function __asyncGenerator(thisArg, _arguments, generator) {
+        if (!Symbol.asyncIterator)
+            throw new TypeError("Symbol.asyncIterator is not defined.");
+        var g = generator.apply(thisArg, _arguments || []), i, q = [];
+        return i = {}, verb("next"), verb("throw"), verb("return"), i[Symbol.asyncIterator] = function () { return this; }, i;
+        function verb(n) { if (g[n])
+            i[n] = function (v) { return new Promise(function (a, b) { q.push([n, v, a, b]) > 1 || resume(n, v); }); }; }
+        function resume(n, v) { try {
+            step(g[n](v));
+        }
+        catch (e) {
+            settle(q[0][3], e);
+        } }
+        function step(r) { r.value instanceof __await ? Promise.resolve(r.value.v).then(fulfill, reject) : settle(q[0][2], r); }
+        function fulfill(value) { resume("next", value); }
+        function reject(value) { resume("throw", value); }
+        function settle(f, v) { if (f(v), q.shift(), q.length)
+            resume(q[0][0], q[0][1]); }
+    }
+    function __asyncDelegator(o) {
+        var i, p;
+        return i = {}, verb("next"), verb("throw", function (e) { throw e; }), verb("return"), i[Symbol.iterator] = function () { return this; }, i;
+        function verb(n, f) { i[n] = o[n] ? function (v) { return (p = !p) ? { value: __await(o[n](v)), done: n === "return" } : f ? f(v) : v; } : f; }
+    }
+    function __asyncValues(o) {
+        if (!Symbol.asyncIterator)
+            throw new TypeError("Symbol.asyncIterator is not defined.");
+        var m = o[Symbol.asyncIterator], i;
+        return m ? m.call(o) : (o = typeof __values === "function" ? __values(o) : o[Symbol.iterator](), i = {}, verb("next"), verb("throw"), verb("return"), i[Symbol.asyncIterator] = function () { return this; }, i);
+        function verb(n) { i[n] = o[n] && function (v) { return new Promise(function (resolve, reject) { v = o[n](v), settle(resolve, reject, v.done, v.value); }); }; }
+        function settle(resolve, reject, d, v) { Promise.resolve(v).then(function (v) { resolve({ value: v, done: d }); }, reject); }
+    }
+    function __makeTemplateObject(cooked, raw) {
+        if (Object.defineProperty) {
+            Object.defineProperty(cooked, "raw", { value: raw });
+        }
+        else {
+            cooked.raw = raw;
+        }
+        return cooked;
+    }
+    ;
+    var __setModuleDefault = Object.create ? (function (o, v) {
+        Object.defineProperty(o, "default", { enumerable: true, value: v });
+    }) : function (o, v) {
+        o["default"] = v;
+    };
+    function __importStar(mod) {
+        if (mod && mod.__esModule)
+            return mod;
+        var result = {};
+        if (mod != null)
+            for (var k in mod)
+                if (k !== "default" && Object.prototype.hasOwnProperty.call(mod, k))
+                    __createBinding(result, mod, k);
+        __setModuleDefault(result, mod);
+        return result;
+    }
+    function __importDefault(mod) {
+        return (mod && mod.__esModule) ? mod : { default: mod };
+    }
+    function __classPrivateFieldGet(receiver, privateMap) {
+        if (!privateMap.has(receiver)) {
+            throw new TypeError("attempted to get private field on non-instance");
+        }
+        return privateMap.get(receiver);
+    }
+    function __classPrivateFieldSet(receiver, privateMap, value) {
+        if (!privateMap.has(receiver)) {
+            throw new TypeError("attempted to set private field on non-instance");
+        }
+        privateMap.set(receiver, value);
+        return value;
+    }
+
+    /**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+    /**
+     * Injection token that can be used by a popup panel, like `CdkComboboxPanel`, to provide itself
+     * to a listbox that is rendered inside of it. Used to avoid a dependency from the listbox on the
+     * packages that can host it.
+     */
+    var CDK_LISTBOX_PANEL = new core.InjectionToken('CDK_LISTBOX_PANEL');
+
+    /** Counter used to create unique IDs for listboxes and options. */
+    var nextId = 0;
+    /** A selectable option in a listbox. */
+    var CdkOption = /** @class */ (function () {
+        function CdkOption(_elementRef, 
+        /** Listbox that the option belongs to. */
+        listbox) {
+            this._elementRef = _elementRef;
+            this.listbox = listbox;
+            /** Unique ID of the option. */
+            this.id = "cdk-option-" + nextId++;
+            /**
+             * The text used to locate this item during listbox typeahead. If not specified,
+             * the `textContent` of the option will be used.
+             */
+            this.typeaheadLabel = null;
+            this._disabled = false;
+            /**
+             * Whether the option is the active descendant of the listbox.
+             * @docs-private
+             */
+            this._active = false;
+        }
+        Object.defineProperty(CdkOption.prototype, "disabled", {
+            /** Whether the option is disabled. */
+            get: function () { return this._disabled; },
+            set: function (value) {
+                this._disabled = coercion.coerceBooleanProperty(value);
+            },
+            enumerable: false,
+            configurable: true
+        });
+        /** Whether the option is selected. */
+        CdkOption.prototype.isSelected = function () {
+            return this.listbox.isValueSelected(this.value);
+        };
+        /** Whether the option is the active descendant of the listbox. */
+        CdkOption.prototype.isActive = function () {
+            return this._active;
+        };
+        /** Selects the option. */
+        CdkOption.prototype.select = function () {
+            this.listbox.select(this.value);
+        };
+        /** Deselects the option. */
+        CdkOption.prototype.deselect = function () {
+            this.listbox.deselect(this.value);
+        };
+        /** Toggles the selected state of the option. */
+        CdkOption.prototype.toggle = function () {
+            this.listbox.toggle(this.value);
+        };
+        /** Gets the label that is used for typeahead, as required by `ListKeyManagerOption`. */
+        CdkOption.prototype.getLabel = function () {
+            if (this.typeaheadLabel) {
+                return this.typeaheadLabel;
+            }
+            var textContent = this._elementRef.nativeElement.textContent;
+            return textContent ? textContent.trim() : '';
+        };
+        /** Marks the option as the active descendant of the listbox. */
+        CdkOption.prototype.setActiveStyles = function () {
+            this._active = true;
+        };
+        /** Marks the option as no longer being the active descendant of the listbox. */
+        CdkOption.prototype.setInactiveStyles = function () {
+            this._active = false;
+        };
+        /**
+         * Whether the user shouldn't be able to interact with the option.
+         * @docs-private
+         */
+        CdkOption.prototype._isInteractionDisabled = function () {
+            return this.listbox.disabled || this.disabled;
+        };
+        /** Handles clicks on the option. */
+        CdkOption.prototype._handleClick = function () {
+            if (!this._isInteractionDisabled()) {
+                this.listbox._setActiveOption(this);
+                this.listbox._selectOptionFromUser(this);
+            }
+        };
+        return CdkOption;
+    }());
+    CdkOption.decorators = [
+        { type: core.Directive, args: [{
+                    selector: '[cdkOption]',
+                    exportAs: 'cdkOption',
+                    host: {
+                        'role': 'option',
+                        'class': 'cdk-option',
+                        '[id]': 'id',
+                        '[attr.aria-selected]': 'isSelected()',
+                        '[attr.aria-disabled]': '_isInteractionDisabled()',
+                        '[class.cdk-option-active]': '_active',
+                        '[class.cdk-option-selected]': 'isSelected()',
+                        '[class.cdk-option-disabled]': '_isInteractionDisabled()',
+                        '(click)': '_handleClick()',
+                    },
+                },] }
+    ];
+    CdkOption.ctorParameters = function () { return [
+        { type: core.ElementRef },
+        { type: CdkListbox, decorators: [{ type: core.Inject, args: [core.forwardRef(function () { return CdkListbox; }),] }] }
+    ]; };
+    CdkOption.propDecorators = {
+        id: [{ type: core.Input }],
+        value: [{ type: core.Input, args: ['cdkOption',] }],
+        typeaheadLabel: [{ type: core.Input, args: ['cdkOptionTypeaheadLabel',] }],
+        disabled: [{ type: core.Input, args: ['cdkOptionDisabled',] }]
+    };
+    /**
+     * A listbox which allows the user to select one or more options. The listbox is focused as a
+     * whole and indicates the active option through `aria-activedescendant`. The selected values
+     * are kept in a `SelectionModel` and can be bound through Angular forms by importing the
+     * `CdkListboxFormsModule` from `@angular/cdk/listbox/forms`.
+     */
+    var CdkListbox = /** @class */ (function () {
+        function CdkListbox(_elementRef, _dir, _injectedComboboxPanel) {
+            this._elementRef = _elementRef;
+            this._dir = _dir;
+            this._injectedComboboxPanel = _injectedComboboxPanel;
+            /** Unique ID of the listbox. */
+            this.id = "cdk-listbox-" + nextId++;
+            this._multiple = false;
+            this._disabled = false;
+            /** Orientation of the listbox's options. */
+            this.orientation = 'vertical';
+            /** Function used to compare an option's value with the selected values. */
+            this.compareWith = function (a1, a2) { return a1 === a2; };
+            /**
+             * Combobox panel that the listbox is rendered in. Only has to be set if the panel
+             * can't be injected, e.g. when the app is using View Engine.
+             */
+            this.comboboxPanel = null;
+            /** Emits when the user changes the selected values of the listbox. */
+            this.valueChange = new core.EventEmitter();
+            /**
+             * Keeps track of the values that are selected in the listbox. The model always allows multiple
+             * values since the inputs can be set in any order. Single selection is enforced by the listbox.
+             */
+            this._selectionModel = new collections.SelectionModel(true);
+            /** Emits when the listbox is destroyed. */
+            this._destroyed = new rxjs.Subject();
+            /** Callback that is invoked when the value of the listbox changes. */
+            this._onChange = function () { };
+            /**
+             * Callback that is invoked when the listbox is blurred.
+             * @docs-private
+             */
+            this._onTouched = function () { };
+        }
+        Object.defineProperty(CdkListbox.prototype, "value", {
+            /** Values that are selected in the listbox. */
+            get: function () { return this._selectionModel.selected; },
+            set: function (value) {
+                this._setSelection(value);
+            },
+            enumerable: false,
+            configurable: true
+        });
+        Object.defineProperty(CdkListbox.prototype, "multiple", {
+            /** Whether the listbox allows multiple options to be selected. */
+            get: function () { return this._multiple; },
+            set: function (value) {
+                var _a;
+                this._multiple = coercion.coerceBooleanProperty(value);
+                // Only keep the first value when switching to single selection after initialization.
+                // Before that the value may have been set before the `multiple` input.
+                if (!this._multiple && this._listKeyManager) {
+                    (_a = this._selectionModel).deselect.apply(_a, __spread(this._selectionModel.selected.slice(1)));
+                }
+            },
+            enumerable: false,
+            configurable: true
+        });
+        Object.defineProperty(CdkListbox.prototype, "disabled", {
+            /** Whether the listbox is disabled. */
+            get: function () { return this._disabled; },
+            set: function (value) {
+                this._disabled = coercion.coerceBooleanProperty(value);
+            },
+            enumerable: false,
+            configurable: true
+        });
+        CdkListbox.prototype.ngAfterContentInit = function () {
+            var _this = this;
+            if ((typeof ngDevMode === 'undefined' || ngDevMode) &&
+                !this.multiple && this.value.length > 1) {
+                throwMultipleValuesError();
+            }
+            this._listKeyManager = new a11y.ActiveDescendantKeyManager(this.options)
+                .withWrap()
+                .withTypeAhead()
+                .withHomeAndEnd();
+            if (this.orientation === 'horizontal') {
+                this._listKeyManager
+                    .withVerticalOrientation(false)
+                    .withHorizontalOrientation(this._dir ? this._dir.value : 'ltr');
+            }
+            this._listKeyManager.change
+                .pipe(operators.takeUntil(this._destroyed))
+                .subscribe(function () { return _this._scrollActiveOptionIntoView(); });
+            var panel = this._getComboboxPanel();
+            if (panel) {
+                panel._registerContent(this._elementRef.nativeElement, this.id, 'listbox');
+            }
+        };
+        CdkListbox.prototype.ngOnDestroy = function () {
+            var panel = this._getComboboxPanel();
+            if (panel) {
+                panel._unregisterContent(this._elementRef.nativeElement);
+            }
+            this._destroyed.next();
+            this._destroyed.complete();
+        };
+        /** Whether a value is selected in the listbox. */
+        CdkListbox.prototype.isValueSelected = function (value) {
+            return this._getSelectedValue(value) !== undefined;
+        };
+        /** Selects a value. Replaces the current value if the listbox only allows one selection. */
+        CdkListbox.prototype.select = function (value) {
+            if (!this.isValueSelected(value)) {
+                if (!this.multiple) {
+                    this._selectionModel.clear();
+                }
+                this._selectionModel.select(value);
+            }
+        };
+        /** Deselects a value. */
+        CdkListbox.prototype.deselect = function (value) {
+            var selectedValue = this._getSelectedValue(value);
+            if (selectedValue !== undefined) {
+                this._selectionModel.deselect(selectedValue);
+            }
+        };
+        /** Toggles the selected state of a value. */
+        CdkListbox.prototype.toggle = function (value) {
+            this.isValueSelected(value) ? this.deselect(value) : this.select(value);
+        };
+        /** Selects all of the options that aren't disabled. Only works if `multiple` is enabled. */
+        CdkListbox.prototype.selectAll = function () {
+            var _this = this;
+            if (this.multiple) {
+                this.options.forEach(function (option) {
+                    if (!option.disabled) {
+                        _this.select(option.value);
+                    }
+                });
+            }
+        };
+        /** Deselects all of the options that aren't disabled. */
+        CdkListbox.prototype.deselectAll = function () {
+            var _this = this;
+            this.options.forEach(function (option) {
+                if (!option.disabled) {
+                    _this.deselect(option.value);
+                }
+            });
+        };
+        /** Moves focus to the listbox. */
+        CdkListbox.prototype.focus = function () {
+            this._elementRef.nativeElement.focus();
+        };
+        /**
+         * Sets the value of the listbox from a form control.
+         * @docs-private
+         */
+        CdkListbox.prototype.writeValue = function (value) {
+            this._setSelection(value);
+        };
+        /**
+         * Registers a callback that is invoked when the value of the listbox changes.
+         * @docs-private
+         */
+        CdkListbox.prototype.registerOnChange = function (fn) {
+            this._onChange = fn;
+        };
+        /**
+         * Registers a callback that is invoked when the listbox is blurred.
+         * @docs-private
+         */
+        CdkListbox.prototype.registerOnTouched = function (fn) {
+            this._onTouched = fn;
+        };
+        /**
+         * Disables the listbox from a form control.
+         * @docs-private
+         */
+        CdkListbox.prototype.setDisabledState = function (isDisabled) {
+            this.disabled = isDisabled;
+        };
+        /** Gets the tabindex of the listbox. */
+        CdkListbox.prototype._getTabIndex = function () {
+            return this.disabled ? null : 0;
+        };
+        /** Gets the ID of the active option, if any. */
+        CdkListbox.prototype._getAriaActiveDescendant = function () {
+            var activeOption = this._listKeyManager && this._listKeyManager.activeItem;
+            return activeOption ? activeOption.id : null;
+        };
+        /**
+         * Makes an option the active descendant of the listbox.
+         * @docs-private
+         */
+        CdkListbox.prototype._setActiveOption = function (option) {
+            this._listKeyManager.setActiveItem(option);
+        };
+        /**
+         * Activates the first selected option, or the first option, when the listbox receives focus.
+         * @docs-private
+         */
+        CdkListbox.prototype._handleFocus = function () {
+            var keyManager = this._listKeyManager;
+            if (keyManager && !keyManager.activeItem) {
+                var selectedOption = this.options.find(function (option) { return option.isSelected() && !option.disabled; });
+                selectedOption ? keyManager.setActiveItem(selectedOption) : keyManager.setFirstItemActive();
+            }
+        };
+        /** Handles keyboard events on the listbox. */
+        CdkListbox.prototype._handleKeydown = function (event) {
+            var keyManager = this._listKeyManager;
+            if (this.disabled || !keyManager) {
+                return;
+            }
+            var keyCode = event.keyCode;
+            var panel = this._getComboboxPanel();
+            switch (keyCode) {
+                case keycodes.SPACE:
+                case keycodes.ENTER:
+                    if (!keycodes.hasModifierKey(event) && keyManager.activeItem) {
+                        event.preventDefault();
+                        this._selectOptionFromUser(keyManager.activeItem);
+                    }
+                    break;
+                case keycodes.A:
+                    if (this.multiple && keycodes.hasModifierKey(event, 'ctrlKey', 'metaKey') &&
+                        !keycodes.hasModifierKey(event, 'altKey', 'shiftKey')) {
+                        event.preventDefault();
+                        var enabledOptions = this.options.filter(function (option) { return !option.disabled; });
+                        var allSelected = enabledOptions.every(function (option) { return option.isSelected(); });
+                        allSelected ? this.deselectAll() : this.selectAll();
+                        this._emitValueChange(null);
+                    }
+                    else {
+                        keyManager.onKeydown(event);
+                    }
+                    break;
+                case keycodes.ESCAPE:
+                case keycodes.TAB:
+                    // Let the combobox know that the user wants to leave the popup.
+                    if (panel && !keycodes.hasModifierKey(event)) {
+                        if (keyCode === keycodes.ESCAPE) {
+                            event.preventDefault();
+                        }
+                        panel.closePanel();
+                    }
+                    break;
+                case keycodes.UP_ARROW:
+                case keycodes.DOWN_ARROW:
+                case keycodes.LEFT_ARROW:
+                case keycodes.RIGHT_ARROW:
+                case keycodes.HOME:
+                case keycodes.END:
+                    var previousActiveItem = keyManager.activeItem;
+                    var isShiftSelection = this.multiple && keycodes.hasModifierKey(event, 'shiftKey') &&
+                        !keycodes.hasModifierKey(event, 'ctrlKey', 'metaKey', 'altKey');
+                    // The key manager ignores events with modifiers, but shift + arrow should still
+                    // move the active option so that it can be used to extend the selection.
+                    if (isShiftSelection) {
+                        this._moveActiveOption(event);
+                    }
+                    else {
+                        keyManager.onKeydown(event);
+                    }
+                    if (isShiftSelection && keyManager.activeItem &&
+                        keyManager.activeItem !== previousActiveItem) {
+                        this._selectOptionFromUser(keyManager.activeItem, 'select');
+                    }
+                    break;
+                default:
+                    keyManager.onKeydown(event);
+            }
+        };
+        /**
+         * Selects an option as a result of a user interaction. Options are toggled if the listbox
+         * allows multiple selections and selected otherwise.
+         * @docs-private
+         */
+        CdkListbox.prototype._selectOptionFromUser = function (option, action) {
+            if (action === void 0) { action = 'toggle'; }
+            if (option._isInteractionDisabled()) {
+                return;
+            }
+            var wasSelected = option.isSelected();
+            if (this.multiple && action === 'toggle') {
+                this.toggle(option.value);
+            }
+            else {
+                this.select(option.value);
+            }
+            if (wasSelected !== option.isSelected()) {
+                this._emitValueChange(option);
+            }
+            var panel = this._getComboboxPanel();
+            if (panel) {
+                // Single-selection listboxes are done once an option is picked,
+                // whereas multi-selection ones stay open so more options can be picked.
+                this.multiple ? panel.updateValue(this.value.slice()) : panel.closePanel(option.value);
+            }
+        };
+        /** Moves the active option when the user is pressing the shift key. */
+        CdkListbox.prototype._moveActiveOption = function (event) {
+            var keyManager = this._listKeyManager;
+            var keyCode = event.keyCode;
+            var isHorizontal = this.orientation === 'horizontal';
+            var isRtl = !!this._dir && this._dir.value === 'rtl';
+            if (keyCode === keycodes.HOME || keyCode === keycodes.END) {
+                keyCode === keycodes.HOME ? keyManager.setFirstItemActive() : keyManager.setLastItemActive();
+            }
+            else if (isHorizontal ? (keyCode === keycodes.LEFT_ARROW || keyCode === keycodes.RIGHT_ARROW) :
+                (keyCode === keycodes.UP_ARROW || keyCode === keycodes.DOWN_ARROW)) {
+                var isNext = isHorizontal ? (keyCode === keycodes.RIGHT_ARROW) !== isRtl : keyCode === keycodes.DOWN_ARROW;
+                isNext ? keyManager.setNextItemActive() : keyManager.setPreviousItemActive();
+            }
+            else {
+                return;
+            }
+            event.preventDefault();
+        };
+        /** Notifies the form control and the outputs that the user changed the value. */
+        CdkListbox.prototype._emitValueChange = function (option) {
+            var value = this.value;
+            this._onChange(this.multiple ? value.slice() : (value.length ? value[0] : null));
+            this.valueChange.emit({ value: value, listbox: this, option: option });
+        };
+        /** Replaces the selected values of the listbox. */
+        CdkListbox.prototype._setSelection = function (value) {
+            var _this = this;
+            var values = value == null ? [] : (Array.isArray(value) ? value : [value]);
+            if ((typeof ngDevMode === 'undefined' || ngDevMode) && this._listKeyManager &&
+                !this.multiple && values.length > 1) {
+                throwMultipleValuesError();
+            }
+            this._selectionModel.clear();
+            values.forEach(function (current) {
+                if (!_this.isValueSelected(current)) {
+                    _this._selectionModel.select(current);
+                }
+            });
+        };
+        /** Gets the selected value that is equal to a particular value, according to `compareWith`. */
+        CdkListbox.prototype._getSelectedValue = function (value) {
+            var selected = this._selectionModel.selected;
+            for (var i = 0; i < selected.length; i++) {
+                if (this.compareWith(selected[i], value)) {
+                    return selected[i];
+                }
+            }
+            return undefined;
+        };
+        /** Scrolls the active option into view, if it is outside of the listbox's scrollable area. */
+        CdkListbox.prototype._scrollActiveOptionIntoView = function () {
+            var activeOption = this._listKeyManager.activeItem;
+            var element = activeOption && activeOption._elementRef.nativeElement;
+            if (element && element.scrollIntoView) {
+                element.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+            }
+        };
+        /** Gets the combobox panel that the listbox is rendered in, if any. */
+        CdkListbox.prototype._getComboboxPanel = function () {
+            return this._injectedComboboxPanel || this.comboboxPanel;
+        };
+        return CdkListbox;
+    }());
+    CdkListbox.decorators = [
+        { type: core.Directive, args: [{
+                    selector: '[cdkListbox]',
+                    exportAs: 'cdkListbox',
+                    host: {
+                        'role': 'listbox',
+                        'class': 'cdk-listbox',
+                        '[id]': 'id',
+                        '[attr.tabindex]': '_getTabIndex()',
+                        '[attr.aria-disabled]': 'disabled',
+                        '[attr.aria-multiselectable]': 'multiple',
+                        '[attr.aria-activedescendant]': '_getAriaActiveDescendant()',
+                        '[attr.aria-orientation]': 'orientation',
+                        '(focus)': '_handleFocus()',
+                        '(blur)': '_onTouched()',
+                        '(keydown)': '_handleKeydown($event)',
+                    },
+                },] }
+    ];
+    CdkListbox.ctorParameters = function () { return [
+        { type: core.ElementRef },
+        { type: bidi.Directionality, decorators: [{ type: core.Optional }] },
+        { type: undefined, decorators: [{ type: core.Optional }, { type: core.Inject, args: [CDK_LISTBOX_PANEL,] }] }
+    ]; };
+    CdkListbox.propDecorators = {
+        id: [{ type: core.Input }],
+        value: [{ type: core.Input, args: ['cdkListboxValue',] }],
+        multiple: [{ type: core.Input, args: ['cdkListboxMultiple',] }],
+        disabled: [{ type: core.Input, args: ['cdkListboxDisabled',] }],
+        orientation: [{ type: core.Input, args: ['cdkListboxOrientation',] }],
+        compareWith: [{ type: core.Input, args: ['cdkListboxCompareWith',] }],
+        comboboxPanel: [{ type: core.Input, args: ['cdkComboboxPanel',] }],
+        valueChange: [{ type: core.Output, args: ['cdkListboxValueChange',] }],
+        options: [{ type: core.ContentChildren, args: [CdkOption, { descendants: true },] }]
+    };
+    /** Throws an error when multiple values are selected in a single-selection listbox. */
+    function throwMultipleValuesError() {
+        throw Error('Listbox cannot have more than one selected value in single-selection mode.');
+    }
+
+    /**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+    var EXPORTED_DECLARATIONS = [CdkListbox, CdkOption];
+    var CdkListboxModule = /** @class */ (function () {
+        function CdkListboxModule() {
+        }
+        return CdkListboxModule;
+    }());
+    CdkListboxModule.decorators = [
+        { type: core.NgModule, args: [{
+                    exports: EXPORTED_DECLARATIONS,
+                    declarations: EXPORTED_DECLARATIONS,
+                },] }
+    ];
+
+    /**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+
+    /**
+     * Generated bundle index. Do not edit.
+     */
+
+    exports.CDK_LISTBOX_PANEL = CDK_LISTBOX_PANEL;
+    exports.CdkListbox = CdkListbox;
+    exports.CdkListboxModule = CdkListboxModule;
+    exports.CdkOption = CdkOption;
+
+    Object.defineProperty(exports, '__esModule', { value: true });
+
+})));
+//# sourceMappingURL=cdk-listbox.umd.js.map
@@ -0,0 +1,39 @@
+!function(e,t){"object"==typeof exports&&"undefined"!=typeof module?t(exports,require("@angular/cdk/a11y"),require("@angular/cdk/bidi"),require("@angular/cdk/coercion"),require("@angular/cdk/collections"),require("@angular/cdk/keycodes"),require("@angular/core"),require("rxjs"),require("rxjs/operators")):"function"==typeof define&&define.amd?define("@angular/cdk/listbox",["exports","@angular/cdk/a11y","@angular/cdk/bidi","@angular/cdk/coercion","@angular/cdk/collections","@angular/cdk/keycodes","@angular/core","rxjs","rxjs/operators"],t):t(((e=e||self).ng=e.ng||{},e.ng.cdk=e.ng.cdk||{},e.ng.cdk.listbox={}),e.ng.cdk.a11y,e.ng.cdk.bidi,e.ng.cdk.coercion,e.ng.cdk.collections,e.ng.cdk.keycodes,e.ng.core,e.rxjs,e.rxjs.operators)}(this,(function(e,t,i,o,n,s,r,a,l){"use strict";
+/*! *****************************************************************************
+    Copyright (c) Microsoft Corporation.
+
+    Permission to use, copy, modify, and/or distribute this software for any
+    purpose with or without fee is hereby granted.
+
+    THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES WITH
+    REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF MERCHANTABILITY
+    AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY SPECIAL, DIRECT,
+    INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES WHATSOEVER RESULTING FROM
+    LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION OF CONTRACT, NEGLIGENCE OR
+    OTHER TORTIOUS ACTION, ARISING OUT OF OR IN CONNECTION WITH THE USE OR
+    PERFORMANCE OF THIS SOFTWARE.
+    ***************************************************************************** */function c(e,t){var i="function"==typeof Symbol&&e[Symbol.iterator];if(!i)return e;var o,n,s=i.call(e),r=[];try{for(;(void 0===t||t-- >0)&&!(o=s.next()).done;)r.push(o.value)}catch(e){n={error:e}}finally{try{o&&!o.done&&(i=s.return)&&i.call(s)}finally{if(n)throw n.error}}return r}
+/**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+var d=new r.InjectionToken("CDK_LISTBOX_PANEL"),u=0,p=function(){function e(e,t){this._elementRef=e,this.listbox=t,this.id="cdk-option-"+u++,this.typeaheadLabel=null,this._disabled=!1,this._active=!1}return Object.defineProperty(e.prototype,"disabled",{get:function(){return this._disabled},set:function(e){this._disabled=o.coerceBooleanProperty(e)},enumerable:!1,configurable:!0}),e.prototype.isSelected=function(){return this.listbox.isValueSelected(this.value)},e.prototype.isActive=function(){return this._active},e.prototype.select=function(){this.listbox.select(this.value)},e.prototype.deselect=function(){this.listbox.deselect(this.value)},e.prototype.toggle=function(){this.listbox.toggle(this.value)},e.prototype.getLabel=function(){if(this.typeaheadLabel)return this.typeaheadLabel;var e=this._elementRef.nativeElement.textContent;return e?e.trim():""},e.prototype.setActiveStyles=function(){this._active=!0},e.prototype.setInactiveStyles=function(){this._active=!1},e.prototype._isInteractionDisabled=function(){return this.listbox.disabled||this.disabled},e.prototype._handleClick=function(){this._isInteractionDisabled()||(this.listbox._setActiveOption(this),this.listbox._selectOptionFromUser(this))},e}();p.decorators=[{type:r.Directive,args:[{selector:"[cdkOption]",exportAs:"cdkOption",host:{role:"option",class:"cdk-option","[id]":"id","[attr.aria-selected]":"isSelected()","[attr.aria-disabled]":"_isInteractionDisabled()","[class.cdk-option-active]":"_active","[class.cdk-option-selected]":"isSelected()","[class.cdk-option-disabled]":"_isInteractionDisabled()","(click)":"_handleClick()"}}]}],p.ctorParameters=function(){return[{type:r.ElementRef},{type:h,decorators:[{type:r.Inject,args:[r.forwardRef((function(){return h}))]}]}]},p.propDecorators={id:[{type:r.Input}],value:[{type:r.Input,args:["cdkOption"]}],typeaheadLabel:[{type:r.Input,args:["cdkOptionTypeaheadLabel"]}],disabled:[{type:r.Input,args:["cdkOptionDisabled"]}]};var h=function(){function e(e,t,i){this._elementRef=e,this._dir=t,this._injectedComboboxPanel=i,this.id="cdk-listbox-"+u++,this._multiple=!1,this._disabled=!1,this.orientation="vertical",this.compareWith=function(e,t){return e===t},this.comboboxPanel=null,this.valueChange=new r.EventEmitter,this._selectionModel=new n.SelectionModel(!0),this._destroyed=new a.Subject,this._onChange=function(){},this._onTouched=function(){}}return Object.defineProperty(e.prototype,"value",{get:function(){return this._selectionModel.selected},set:function(e){this._setSelection(e)},enumerable:!1,configurable:!0}),Object.defineProperty(e.prototype,"multiple",{get:function(){return this._multiple},set:function(e){var t;this._multiple=o.coerceBooleanProperty(e),!this._multiple&&this._listKeyManager&&(t=this._selectionModel).deselect.apply(t,function i(){for(var e=[],t=0;t<arguments.length;t++)e=e.concat(c(arguments[t]));return e}(this._selectionModel.selected.slice(1)))},enumerable:!1,configurable:!0}),Object.defineProperty(e.prototype,"disabled",{get:function(){return this._disabled},set:function(e){this._disabled=o.coerceBooleanProperty(e)},enumerable:!1,configurable:!0}),e.prototype.ngAfterContentInit=function(){var e=this;this._listKeyManager=new t.ActiveDescendantKeyManager(this.options).withWrap().withTypeAhead().withHomeAndEnd(),"horizontal"===this.orientation&&this._listKeyManager.withVerticalOrientation(!1).withHorizontalOrientation(this._dir?this._dir.value:"ltr"),this._listKeyManager.change.pipe(l.takeUntil(this._destroyed)).subscribe((function(){return e._scrollActiveOptionIntoView()}));var i=this._getComboboxPanel();i&&i._registerContent(this._elementRef.nativeElement,this.id,"listbox")},e.prototype.ngOnDestroy=function(){var e=this._getComboboxPanel();e&&e._unregisterContent(this._elementRef.nativeElement),this._destroyed.next(),this._destroyed.complete()},e.prototype.isValueSelected=function(e){return void 0!==this._getSelectedValue(e)},e.prototype.select=function(e){this.isValueSelected(e)||(this.multiple||this._selectionModel.clear(),this._selectionModel.select(e))},e.prototype.deselect=function(e){var t=this._getSelectedValue(e);void 0!==t&&this._selectionModel.deselect(t)},e.prototype.toggle=function(e){this.isValueSelected(e)?this.deselect(e):this.select(e)},e.prototype.selectAll=function(){var e=this;this.multiple&&this.options.forEach((function(t){t.disabled||e.select(t.value)}))},e.prototype.deselectAll=function(){var e=this;this.options.forEach((function(t){t.disabled||e.deselect(t.value)}))},e.prototype.focus=function(){this._elementRef.nativeElement.focus()},e.prototype.writeValue=function(e){this._setSelection(e)},e.prototype.registerOnChange=function(e){this._onChange=e},e.prototype.registerOnTouched=function(e){this._onTouched=e},e.prototype.setDisabledState=function(e){this.disabled=e},e.prototype._getTabIndex=function(){return this.disabled?null:0},e.prototype._getAriaActiveDescendant=function(){var e=this._listKeyManager&&this._listKeyManager.activeItem;return e?e.id:null},e.prototype._setActiveOption=function(e){this._listKeyManager.setActiveItem(e)},e.prototype._handleFocus=function(){var e=this._listKeyManager;if(e&&!e.activeItem){var t=this.options.find((function(e){return e.isSelected()&&!e.disabled}));t?e.setActiveItem(t):e.setFirstItemActive()}},e.prototype._handleKeydown=function(e){var t=this._listKeyManager;if(!this.disabled&&t){var i=e.keyCode,o=this._getComboboxPanel();switch(i){case s.SPACE:case s.ENTER:!s.hasModifierKey(e)&&t.activeItem&&(e.preventDefault(),this._selectOptionFromUser(t.activeItem));break;case s.A:this.multiple&&s.hasModifierKey(e,"ctrlKey","metaKey")&&!s.hasModifierKey(e,"altKey","shiftKey")?(e.preventDefault(),this.options.filter((function(e){return!e.disabled})).every((function(e){return e.isSelected()}))?this.deselectAll():this.selectAll(),this._emitValueChange(null)):t.onKeydown(e);break;case s.ESCAPE:case s.TAB:o&&!s.hasModifierKey(e)&&(i===s.ESCAPE&&e.preventDefault(),o.closePanel());break;case s.UP_ARROW:case s.DOWN_ARROW:case s.LEFT_ARROW:case s.RIGHT_ARROW:case s.HOME:case s.END:var n=t.activeItem,r=this.multiple&&s.hasModifierKey(e,"shiftKey")&&!s.hasModifierKey(e,"ctrlKey","metaKey","altKey");r?this._moveActiveOption(e):t.onKeydown(e),r&&t.activeItem&&t.activeItem!==n&&this._selectOptionFromUser(t.activeItem,"select");break;default:t.onKeydown(e)}}},e.prototype._selectOptionFromUser=function(e,t){if(void 0===t&&(t="toggle"),!e._isInteractionDisabled()){var i=e.isSelected();this.multiple&&"toggle"===t?this.toggle(e.value):this.select(e.value),i!==e.isSelected()&&this._emitValueChange(e);var o=this._getComboboxPanel();o&&(this.multiple?o.updateValue(this.value.slice()):o.closePanel(e.value))}},e.prototype._moveActiveOption=function(e){var t=this._listKeyManager,i=e.keyCode,o="horizontal"===this.orientation,n=!!this._dir&&"rtl"===this._dir.value;if(i===s.HOME||i===s.END)i===s.HOME?t.setFirstItemActive():t.setLastItemActive();else{if(o?i!==s.LEFT_ARROW&&i!==s.RIGHT_ARROW:i!==s.UP_ARROW&&i!==s.DOWN_ARROW)return;(o?i===s.RIGHT_ARROW!==n:i===s.DOWN_ARROW)?t.setNextItemActive():t.setPreviousItemActive()}e.preventDefault()},e.prototype._emitValueChange=function(e){var t=this.value;this._onChange(this.multiple?t.slice():t.length?t[0]:null),this.valueChange.emit({value:t,listbox:this,option:e})},e.prototype._setSelection=function(e){var t=this,i=null==e?[]:Array.isArray(e)?e:[e];this._selectionModel.clear(),i.forEach((function(e){t.isValueSelected(e)||t._selectionModel.select(e)}))},e.prototype._getSelectedValue=function(e){for(var t=this._selectionModel.selected,i=0;i<t.length;i++)if(this.compareWith(t[i],e))return t[i]},e.prototype._scrollActiveOptionIntoView=function(){var e=this._listKeyManager.activeItem,t=e&&e._elementRef.nativeElement;t&&t.scrollIntoView&&t.scrollIntoView({block:"nearest",inline:"nearest"})},e.prototype._getComboboxPanel=function(){return this._injectedComboboxPanel||this.comboboxPanel},e}();h.decorators=[{type:r.Directive,args:[{selector:"[cdkListbox]",exportAs:"cdkListbox",host:{role:"listbox",class:"cdk-listbox","[id]":"id","[attr.tabindex]":"_getTabIndex()","[attr.aria-disabled]":"disabled","[attr.aria-multiselectable]":"multiple","[attr.aria-activedescendant]":"_getAriaActiveDescendant()","[attr.aria-orientation]":"orientation","(focus)":"_handleFocus()","(blur)":"_onTouched()","(keydown)":"_handleKeydown($event)"}}]}],h.ctorParameters=function(){return[{type:r.ElementRef},{type:i.Directionality,decorators:[{type:r.Optional}]},{type:void 0,decorators:[{type:r.Optional},{type:r.Inject,args:[d]}]}]},h.propDecorators={id:[{type:r.Input}],value:[{type:r.Input,args:["cdkListboxValue"]}],multiple:[{type:r.Input,args:["cdkListboxMultiple"]}],disabled:[{type:r.Input,args:["cdkListboxDisabled"]}],orientation:[{type:r.Input,args:["cdkListboxOrientation"]}],compareWith:[{type:r.Input,args:["cdkListboxCompareWith"]}],comboboxPanel:[{type:r.Input,args:["cdkComboboxPanel"]}],valueChange:[{type:r.Output,args:["cdkListboxValueChange"]}],options:[{type:r.ContentChildren,args:[p,{descendants:!0}]}]};
+/**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+var y,f=[h,p];(y=function y(){}).decorators=[{type:r.NgModule,args:[{exports:f,declarations:f}]}],
+/**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+e.CDK_LISTBOX_PANEL=d,e.CdkListbox=h,e.CdkListboxModule=y,e.CdkOption=p,Object.defineProperty(e,"__esModule",{value:!0})}));
\ No newline at end of file
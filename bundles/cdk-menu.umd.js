@@ -0,0 +1,1867 @@
+(function (global, factory) {
+    typeof exports === 'object' && typeof module !== 'undefined' ? factory(exports, require('rxjs'), require('rxjs/operators'), require('@angular/cdk/bidi'), require('@angular/cdk/collections'), require('@angular/core'), require('@angular/cdk/a11y'), require('@angular/cdk/keycodes'), require('@angular/cdk/coercion'), require('@angular/cdk/overlay'), require('@angular/cdk/portal')) :
+    typeof define === 'function' && define.amd ? define('@angular/cdk/menu', ['exports', 'rxjs', 'rxjs/operators', '@angular/cdk/bidi', '@angular/cdk/collections', '@angular/core', '@angular/cdk/a11y', '@angular/cdk/keycodes', '@angular/cdk/coercion', '@angular/cdk/overlay', '@angular/cdk/portal'], factory) :
+    (global = global || self, factory((global.ng = global.ng || {}, global.ng.cdk = global.ng.cdk || {}, global.ng.cdk.menu = {}), global.rxjs, global.rxjs.operators, global.ng.cdk.bidi, global.ng.cdk.collections, global.ng.core, global.ng.cdk.a11y, global.ng.cdk.keycodes, global.ng.cdk.coercion, global.ng.cdk.overlay, global.ng.cdk.portal));
+}(this, (function (exports, rxjs, operators, bidi, collections, core, a11y, keycodes, coercion, overlay, portal) { 'use strict';
+
+    /**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+    /**
+     * PointerFocusTracker keeps track of the currently active item under mouse focus. It also has
+     * observables which emit when the users mouse enters and leaves a tracked element.
+     */
+    var PointerFocusTracker = /** @class */ (function () {
+        function PointerFocusTracker(
+        /** The list of items being tracked. */
+        _items) {
+            var _this = this;
+            this._items = _items;
+            /** Emits when an element is moused into. */
+            this.entered = this._getItemPointerEntries();
+            /** Emits when an element is moused out. */
+            this.exited = this._getItemPointerExits();
+            /** Emits when this is destroyed. */
+            this._destroyed = new rxjs.Subject();
+            this.entered.pipe(operators.takeUntil(this._destroyed)).subscribe(function (element) {
+                _this.activeElement = element;
+            });
+            this.exited.pipe(operators.takeUntil(this._destroyed)).subscribe(function () {
+                _this.previousElement = _this.activeElement;
+                _this.activeElement = undefined;
+            });
+        }
+        /** Stop the managers listeners. */
+        PointerFocusTracker.prototype.destroy = function () {
+            this._destroyed.next();
+            this._destroyed.complete();
+        };
+        /**
+         * Gets a stream of pointer (mouse) entries into the given items.
+         * This should typically run outside the Angular zone.
+         */
+        PointerFocusTracker.prototype._getItemPointerEntries = function () {
+            var _this = this;
+            return rxjs.defer(function () { return _this._items.changes.pipe(operators.startWith(_this._items), operators.mergeMap(function (list) { return list.map(function (element) { return rxjs.fromEvent(element._elementRef.nativeElement, 'mouseenter').pipe(operators.mapTo(element), operators.takeUntil(_this._items.changes)); }); }), operators.mergeAll()); });
+        };
+        /**
+         * Gets a stream of pointer (mouse) exits out of the given items.
+         * This should typically run outside the Angular zone.
+         */
+        PointerFocusTracker.prototype._getItemPointerExits = function () {
+            var _this = this;
+            return rxjs.defer(function () { return _this._items.changes.pipe(operators.startWith(_this._items), operators.mergeMap(function (list) { return list.map(function (element) { return rxjs.fromEvent(element._elementRef.nativeElement, 'mouseleave').pipe(operators.mapTo(element), operators.takeUntil(_this._items.changes)); }); }), operators.mergeAll()); });
+        };
+        return PointerFocusTracker;
+    }());
+
+    /*! *****************************************************************************
+    Copyright (c) Microsoft Corporation.
+
+    Permission to use, copy, modify, and/or distribute this software for any
+    purpose with or without fee is hereby granted.
+
+    THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES WITH
+    REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF MERCHANTABILITY
+    AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY SPECIAL, DIRECT,
+    INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES WHATSOEVER RESULTING FROM
+    LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION OF CONTRACT, NEGLIGENCE OR
+    OTHER TORTIOUS ACTION, ARISING OUT OF OR IN CONNECTION WITH THE USE OR
+    PERFORMANCE OF THIS SOFTWARE.
+    ***************************************************************************** */
+    /* global Reflect, Promise */
+    var extendStatics = function (d, b) {
+        extendStatics = Object.setPrototypeOf ||
+            ({ __proto__: [] } instanceof Array && function (d, b) { d.__proto__ = b; }) ||
+            function (d, b) { for (var p in b)
+                if (Object.prototype.hasOwnProperty.call(b, p))
+                    d[p] = b[p]; };
+        return extendStatics(d, b);
+    };
+    function __extends(d, b) {
+        if (typeof b !== "function" && b !== null)
+            throw new TypeError("Class extends value " + String(b) + " is not a constructor or null");
+        extendStatics(d, b);
+        function __() { this.constructor = d; }
+        d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
+    }
+    var __assign = function () {
+        __assign = Object.assign || function __assign(t) {
+            for (var s, i = 1, n = arguments.length; i < n; i++) {
+                s = arguments[i];
+                for (var p in s)
+                    if (Object.prototype.hasOwnProperty.call(s, p))
+                        t[p] = s[p];
+            }
+            return t;
+        };
+        return __assign.apply(this, arguments);
+    };
+    function __rest(s, e) {
+        var t = {};
+        for (var p in s)
+            if (Object.prototype.hasOwnProperty.call(s, p) && e.indexOf(p) < 0)
+                t[p] = s[p];
+        if (s != null && typeof Object.getOwnPropertySymbols === "function")
+            for (var i = 0, p = Object.getOwnPropertySymbols(s); i < p.length; i++) {
+                if (e.indexOf(p[i]) < 0 && Object.prototype.propertyIsEnumerable.call(s, p[i]))
+                    t[p[i]] = s[p[i]];
+            }
+        return t;
+    }
+    function __decorate(decorators, target, key, desc) {
+        var c = arguments.length, r = c < 3 ? target : desc === null ? desc = Object.getOwnPropertyDescriptor(target, key) : desc, d;
+        if (typeof Reflect === "object" && typeof Reflect.decorate === "function")
+            r = Reflect.decorate(decorators, target, key, desc);
+        else
+            for (var i = decorators.length - 1; i >= 0; i--)
+                if (d = decorators[i])
+                    r = (c < 3 ? d(r) : c > 3 ? d(target, key, r) : d(target, key)) || r;
+        return c > 3 && r && Object.defineProperty(target, key, r), r;
+    }
+    function __param(paramIndex, decorator) {
+        return function (target, key) { decorator(target, key, paramIndex); };
+    }
+    function __metadata(metadataKey, metadataValue) {
+        if (typeof Reflect === "object" && typeof Reflect.metadata === "function")
+            return Reflect.metadata(metadataKey, metadataValue);
+    }
+    function __awaiter(thisArg, _arguments, P, generator) {
+        function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+        return new (P || (P = Promise))(function (resolve, reject) {
+            function fulfilled(value) { try {
+                step(generator.next(value));
+            }
+            catch (e) {
+                reject(e);
+            } }
+            function rejected(value) { try {
+                step(generator["throw"](value));
+            }
+            catch (e) {
+                reject(e);
+            } }
+            function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+            step((generator = generator.apply(thisArg, _arguments || [])).next());
+        });
+    }
+    function __generator(thisArg, body) {
+        var _ = { label: 0, sent: function () { if (t[0] & 1)
+                throw t[1]; return t[1]; }, trys: [], ops: [] }, f, y, t, g;
+        return g = { next: verb(0), "throw": verb(1), "return": verb(2) }, typeof Symbol === "function" && (g[Symbol.iterator] = function () { return this; }), g;
+        function verb(n) { return function (v) { return step([n, v]); }; }
+        function step(op) {
+            if (f)
+                throw new TypeError("Generator is already executing.");
+            while (_)
+                try {
+                    if (f = 1, y && (t = op[0] & 2 ? y["return"] : op[0] ? y["throw"] || ((t = y["return"]) && t.call(y), 0) : y.next) && !(t = t.call(y, op[1])).done)
+                        return t;
+                    if (y = 0, t)
+                        op = [op[0] & 2, t.value];
+                    switch (op[0]) {
+                        case 0:
+                        case 1:
+                            t = op;
+                            break;
+                        case 4:
+                            _.label++;
+                            return { value: op[1], done: false };
+                        case 5:
+                            _.label++;
+                            y = op[1];
+                            op = [0];
+                            continue;
+                        case 7:
+                            op = _.ops.pop();
+                            _.trys.pop();
+                            continue;
+                        default:
+                            if (!(t = _.trys, t = t.length > 0 && t[t.length - 1]) && (op[0] === 6 || op[0] === 2)) {
+                                _ = 0;
+                                continue;
+                            }
+                            if (op[0] === 3 && (!t || (op[1] > t[0] && op[1] < t[3]))) {
+                                _.label = op[1];
+                                break;
+                            }
+                            if (op[0] === 6 && _.label < t[1]) {
+                                _.label = t[1];
+                                t = op;
+                                break;
+                            }
+                            if (t && _.label < t[2]) {
+                                _.label = t[2];
+                                _.ops.push(op);
+                                break;
+                            }
+                            if (t[2])
+                                _.ops.pop();
+                            _.trys.pop();
+                            continue;
+                    }
+                    op = body.call(thisArg, _);
+                }
+                catch (e) {
+                    op = [6, e];
+                    y = 0;
+                }
+                finally {
+                    f = t = 0;
+                }
+            if (op[0] & 5)
+                throw op[1];
+            return { value: op[0] ? op[1] : void 0, done: true };
+        }
+    }
+    var __createBinding = Object.create ? (function (o, m, k, k2) {
+        if (k2 === undefined)
+            k2 = k;
+        Object.defineProperty(o, k2, { enumerable: true, get: function () { return m[k]; } });
+    }) : (function (o, m, k, k2) {
+        if (k2 === undefined)
+            k2 = k;
+        o[k2] = m[k];
+    });
+    function __exportStar(m, o) {
+        for (var p in m)
+            if (p !== "default" && !Object.prototype.hasOwnProperty.call(o, p))
+                __createBinding(o, m, p);
+    }
+    function __values(o) {
+        var s = typeof Symbol === "function" && Symbol.iterator, m = s && o[s], i = 0;
+        if (m)
+            return m.call(o);
+        if (o && typeof o.length === "number")
+            return {
+                next: function () {
+                    if (o && i >= o.length)
+                        o = void 0;
+                    return { value: o && o[i++], done: !o };
+                }
+            };
+        throw new TypeError(s ? "Object is not iterable." : "Symbol.iterator is not defined.");
+    }
+    function __read(o, n) {
+        var m = typeof Symbol === "function" && o[Symbol.iterator];
+        if (!m)
+            return o;
+        var i = m.call(o), r, ar = [], e;
+        try {
+            while ((n === void 0 || n-- > 0) && !(r = i.next()).done)
+                ar.push(r.value);
+        }
+        catch (error) {
+            e = { error: error };
+        }
+        finally {
+            try {
+                if (r && !r.done && (m = i["return"]))
+                    m.call(i);
+            }
+            finally {
+                if (e)
+                    throw e.error;
+            }
+        }
+        return ar;
+    }
+    /** @deprecated */
+    function __spread() {
+        for (var ar = [], i = 0; i < arguments.length; i++)
+            ar = ar.concat(__read(arguments[i]));
+        return ar;
+    }
+    /** @deprecated */
+    function __spreadArrays() {
+        for (var s = 0, i = 0, il = arguments.length; i < il; i++)
+            s += arguments[i].length;
+        for (var r = Array(s), k = 0, i = 0; i < il; i++)
+            for (var a = arguments[i], j = 0, jl = a.length; j < jl; j++, k++)
+                r[k] = a[j];
+        return r;
+    }
+    function __spreadArray(to, from) {
+        for (var i = 0, il = from.length, j = to.length; i < il; i++, j++)
+            to[j] = from[i];
+        return to;
+    }
+    function __await(v) {
+        return this instanceof __await ? (this.v = v, this) : new __await(v);
+    }
+    function __asyncGenerator(thisArg, _arguments, generator) {
+        if (!Symbol.asyncIterator)
+            throw new TypeError("Symbol.asyncIterator is not defined.");
+        var g = generator.apply(thisArg, _arguments || []), i, q = [];
+        return i = {}, verb("next"), verb("throw"), verb("return"), i[Symbol.asyncIterator] = function () { return this; }, i;
+        function verb(n) { if (g[n])
+            i[n] = function (v) { return new Promise(function (a, b) { q.push([n, v, a, b]) > 1 || resume(n, v); }); }; }
+        function resume(n, v) { try {
+            step(g[n](v));
+        }
+        catch (e) {
+            settle(q[0][3], e);
+        } }
+        function step(r) { r.value instanceof __await ? Promise.resolve(r.value.v).then(fulfill, reject) : settle(q[0][2], r); }
+        function fulfill(value) { resume("next", value); }
+        function reject(value) { resume("throw", value); }
+        function settle(f, v) { if (f(v), q.shift(), q.length)
+            resume(q[0][0], q[0][1]); }
+    }
+    function __asyncDelegator(o) {
+        var i, p;
+        return i = {}, verb("next"), verb("throw", function (e) { throw e; }), verb("return"), i[Symbol.iterator] = function () { return this; }, i;
+        function verb(n, f) { i[n] = o[n] ? function (v) { return (p = !p) ? { value: __await(o[n](v)), done: n === "return" } : f ? f(v) : v; } : f; }
+    }
+    function __asyncValues(o) {
+        if (!Symbol.asyncIterator)
+            throw new TypeError("Symbol.asyncIterator is not defined.");
+        var m = o[Symbol.asyncIterator], i;
+        return m ? m.call(o) : (o = typeof __values === "function" ? __values(o) : o[Symbol.iterator](), i = {}, verb("next"), verb("throw"), verb("return"), i[Symbol.asyncIterator] = function () { return this; }, i);
+        function verb(n) { i[n] = o[n] && function (v) { return new Promise(function (resolve, reject) { v = o[n](v), settle(resolve, reject, v.done, v.value); }); }; }
+        function settle(resolve, reject, d, v) { Promise.resolve(v).then(function (v) { resolve({ value: v, done: d }); }, reject); }
+    }
+    function __makeTemplateObject(cooked, raw) {
+        if (Object.defineProperty) {
+            Object.defineProperty(cooked, "raw", { value: raw });
+        }
+        else {
+            cooked.raw = raw;
+        }
+        return cooked;
+    }
+    ;
+    var __setModuleDefault = Object.create ? (function (o, v) {
+        Object.defineProperty(o, "default", { enumerable: true, value: v });
+    }) : function (o, v) {
+        o["default"] = v;
+    };
+    function __importStar(mod) {
+        if (mod && mod.__esModule)
+            return mod;
+        var result = {};
+        if (mod != null)
+            for (var k in mod)
+                if (k !== "default" && Object.prototype.hasOwnProperty.call(mod, k))
+                    __createBinding(result, mod, k);
+        __setModuleDefault(result, mod);
+        return result;
+    }
+    function __importDefault(mod) {
+        return (mod && mod.__esModule) ? mod : { default: mod };
+    }
+    function __classPrivateFieldGet(receiver, privateMap) {
+        if (!privateMap.has(receiver)) {
+            throw new TypeError("attempted to get private field on non-instance");
+        }
+        return privateMap.get(receiver);
+    }
+    function __classPrivateFieldSet(receiver, privateMap, value) {
+        if (!privateMap.has(receiver)) {
+            throw new TypeError("attempted to set private field on non-instance");
+        }
+        privateMap.set(receiver, value);
+        return value;
+    }
+
+    /**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+    /** Injection token used for an implementation of MenuAim. */
+    var MENU_AIM = new core.InjectionToken('cdk-menu-aim');
+    /** Capture every nth mouse move event. */
+    var MOUSE_MOVE_SAMPLE_FREQUENCY = 3;
+    /** The number of mouse move events to track. */
+    var NUM_POINTS = 5;
+    /**
+     * How long to wait before closing a sibling menu if a user stops short of the submenu they were
+     * predicted to go into.
+     */
+    var CLOSE_DELAY = 300;
+    /** Calculate the slope between point a and b. */
+    function getSlope(a, b) {
+        return (b.y - a.y) / (b.x - a.x);
+    }
+    /** Calculate the y intercept for the given point and slope. */
+    function getYIntercept(point, slope) {
+        return point.y - slope * point.x;
+    }
+    /**
+     * Whether the given mouse trajectory line defined by the slope and y intercept falls within the
+     * submenu as defined by `submenuPoints`
+     * @param submenuPoints the submenu DOMRect points.
+     * @param m the slope of the trajectory line.
+     * @param b the y intercept of the trajectory line.
+     * @return true if any point on the line falls within the submenu.
+     */
+    function isWithinSubmenu(submenuPoints, m, b) {
+        var left = submenuPoints.left, right = submenuPoints.right, top = submenuPoints.top, bottom = submenuPoints.bottom;
+        // Check for intersection with each edge of the submenu (left, right, top, bottom)
+        // by fixing one coordinate to that edge's coordinate (either x or y) and checking if the
+        // other coordinate is within bounds.
+        return ((m * left + b >= top && m * left + b <= bottom) ||
+            (m * right + b >= top && m * right + b <= bottom) ||
+            ((top - b) / m >= left && (top - b) / m <= right) ||
+            ((bottom - b) / m >= left && (bottom - b) / m <= right));
+    }
+    /**
+     * TargetMenuAim predicts if a user is moving into a submenu. It calculates the
+     * trajectory of the user's mouse movement in the current menu to determine if the
+     * mouse is moving towards an open submenu.
+     *
+     * The determination is made by calculating the slope of the users last NUM_POINTS moves where
+     * each pair of points determines if the trajectory line points into the submenu. It uses
+     * consensus approach by checking if at least NUM_POINTS / 2 pairs determine that the user is
+     * moving towards to submenu.
+     */
+    var TargetMenuAim = /** @class */ (function () {
+        function TargetMenuAim(_ngZone) {
+            this._ngZone = _ngZone;
+            /** The last NUM_POINTS mouse move events. */
+            this._points = [];
+            /** The id associated with the current timeout call waiting to resolve. */
+            this._timeoutId = null;
+            /** Most recent toggle that is waiting for the user to stop moving towards the submenu. */
+            this._pendingToggle = null;
+            /** Emits when this service is destroyed. */
+            this._destroyed = new rxjs.Subject();
+        }
+        TargetMenuAim.prototype.ngOnDestroy = function () {
+            if (this._timeoutId !== null) {
+                clearTimeout(this._timeoutId);
+            }
+            this._destroyed.next();
+            this._destroyed.complete();
+        };
+        /**
+         * Set the Menu and its PointerFocusTracker.
+         * @param menu The menu that this menu aim service controls.
+         * @param pointerTracker The `PointerFocusTracker` for the given menu.
+         */
+        TargetMenuAim.prototype.initialize = function (menu, pointerTracker) {
+            this._menu = menu;
+            this._pointerTracker = pointerTracker;
+            this._subscribeToMouseMoves();
+        };
+        /**
+         * Calls the `doToggle` callback when it is deemed that the user is not moving towards
+         * the submenu.
+         * @param doToggle the function called when the user is not moving towards the submenu.
+         */
+        TargetMenuAim.prototype.toggle = function (doToggle) {
+            // If the menu is horizontal the sub-menus open below and there is no risk of premature
+            // closing of any sub-menus therefore we automatically resolve the callback.
+            if (!this._menu || this._menu.orientation === 'horizontal') {
+                doToggle();
+                return;
+            }
+            // If a toggle is already waiting, only replace the callback so that the
+            // most recently hovered item wins once the delay is over.
+            if (this._timeoutId !== null) {
+                this._pendingToggle = doToggle;
+            }
+            else if (this._points.length > 1 && this._isMovingToSubmenu()) {
+                this._startTimeout(doToggle);
+            }
+            else {
+                doToggle();
+            }
+        };
+        /**
+         * Start the delayed toggle handler if one isn't running already.
+         *
+         * The delayed toggle handler executes the `doToggle` callback after some period of time iff
+         * the users mouse is on an item in the current menu.
+         */
+        TargetMenuAim.prototype._startTimeout = function (doToggle) {
+            var _this = this;
+            this._pendingToggle = doToggle;
+            // If the users mouse is moving towards a submenu we don't want to immediately resolve.
+            // Wait for some period of time before determining if the previous menu should close in
+            // cases where the user may have moved towards the submenu but stopped on a sibling menu
+            // item intentionally.
+            this._timeoutId = setTimeout(function () {
+                var pendingToggle = _this._pendingToggle;
+                _this._timeoutId = _this._pendingToggle = null;
+                // Resolve if the user is currently moused over some element in the root menu.
+                if (pendingToggle && _this._pointerTracker.activeElement) {
+                    pendingToggle();
+                }
+            }, CLOSE_DELAY);
+        };
+        /** Whether the user is heading towards the open submenu. */
+        TargetMenuAim.prototype._isMovingToSubmenu = function () {
+            var submenuPoints = this._getSubmenuBounds();
+            if (!submenuPoints) {
+                return false;
+            }
+            var numMoving = 0;
+            var currPoint = this._points[this._points.length - 1];
+            // start from the second last point and calculate the slope between each point and the last
+            // point.
+            for (var i = this._points.length - 2; i >= 0; i--) {
+                var previous = this._points[i];
+                var slope = getSlope(currPoint, previous);
+                if (isWithinSubmenu(submenuPoints, slope, getYIntercept(currPoint, slope))) {
+                    numMoving++;
+                }
+            }
+            return numMoving >= Math.floor(NUM_POINTS / 2);
+        };
+        /** Get the bounding DOMRect for the open submenu. */
+        TargetMenuAim.prototype._getSubmenuBounds = function () {
+            var previousElement = this._pointerTracker && this._pointerTracker.previousElement;
+            var submenu = previousElement && previousElement.getMenu();
+            return submenu ? submenu._elementRef.nativeElement.getBoundingClientRect() : undefined;
+        };
+        /** Subscribe to the root menus mouse move events and update the tracked mouse points. */
+        TargetMenuAim.prototype._subscribeToMouseMoves = function () {
+            var _this = this;
+            this._ngZone.runOutsideAngular(function () {
+                rxjs.fromEvent(_this._menu._elementRef.nativeElement, 'mousemove')
+                    .pipe(operators.filter(function (_, index) { return index % MOUSE_MOVE_SAMPLE_FREQUENCY === 0; }), operators.takeUntil(_this._destroyed))
+                    .subscribe(function (event) {
+                    _this._points.push({ x: event.clientX, y: event.clientY });
+                    if (_this._points.length > NUM_POINTS) {
+                        _this._points.shift();
+                    }
+                });
+            });
+        };
+        return TargetMenuAim;
+    }());
+    TargetMenuAim.decorators = [
+        { type: core.Injectable }
+    ];
+    TargetMenuAim.ctorParameters = function () { return [
+        { type: core.NgZone }
+    ]; };
+    /**
+     * CdkTargetMenuAim is a provider for the TargetMenuAim service. It should be added to an
+     * element with either the `cdkMenu` or `cdkMenuBar` directive and child menu items.
+     */
+    var CdkTargetMenuAim = /** @class */ (function () {
+        function CdkTargetMenuAim() {
+        }
+        return CdkTargetMenuAim;
+    }());
+    CdkTargetMenuAim.decorators = [
+        { type: core.Directive, args: [{
+                    selector: '[cdkTargetMenuAim]',
+                    exportAs: 'cdkTargetMenuAim',
+                    providers: [{ provide: MENU_AIM, useClass: TargetMenuAim }],
+                },] }
+    ];
+
+    /**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+    /** Injection token used to return classes implementing the Menu interface. */
+    var CDK_MENU = new core.InjectionToken('cdk-menu');
+
+    /**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+    (function (FocusNext) {
+        /** Move focus to the next item of the root menu and open its menu. */
+        FocusNext[FocusNext["nextItem"] = 0] = "nextItem";
+        /** Move focus to the previous item of the root menu and open its menu. */
+        FocusNext[FocusNext["previousItem"] = 1] = "previousItem";
+        /** Move focus back to the active item of the root menu. */
+        FocusNext[FocusNext["currentItem"] = 2] = "currentItem";
+    })(exports.FocusNext || (exports.FocusNext = {}));
+    /**
+     * Keeps track of the menus that are open, starting with the menu that was opened from the root
+     * menu (e.g. a menu bar) and ending with the most recently opened submenu. Closing a menu through
+     * the stack also closes all of the menus that were opened from it.
+     */
+    var MenuStack = /** @class */ (function () {
+        function MenuStack(
+        /**
+         * Menu from which the other menus are opened and which is always visible, e.g. a menu bar.
+         * Null if the menus were opened from a trigger that isn't inside of a menu.
+         */
+        root) {
+            if (root === void 0) { root = null; }
+            this.root = root;
+            /** Menus that are currently open, from the first one to the most recently opened one. */
+            this._elements = [];
+            /** Emits the menus that are closed, most recently opened first. */
+            this._closed = new rxjs.Subject();
+            /** Emits once the stack has been emptied. */
+            this._emptied = new rxjs.Subject();
+            /** Emits the menus that are closed, most recently opened first. */
+            this.closed = this._closed;
+            /** Emits the action that the root menu should perform once the stack has been emptied. */
+            this.emptied = this._emptied;
+        }
+        /** Adds a menu that was just opened to the top of the stack. */
+        MenuStack.prototype.push = function (menu) {
+            this._elements.push(menu);
+        };
+        /**
+         * Closes a menu, along with all of the menus that were opened after it.
+         * @param lastItem Menu that should be closed.
+         * @param options Options that determine where focus goes after the menus are closed.
+         */
+        MenuStack.prototype.close = function (lastItem, options) {
+            if (this._elements.indexOf(lastItem) > -1) {
+                var focusParentTrigger = !!(options && options.focusParentTrigger);
+                var poppedElement = void 0;
+                do {
+                    poppedElement = this._elements.pop();
+                    this._closed.next({ item: poppedElement, focusParentTrigger: focusParentTrigger });
+                } while (poppedElement !== lastItem);
+                if (this.isEmpty()) {
+                    this._emptied.next(options && options.focusNextOnEmpty);
+                }
+            }
+        };
+        /**
+         * Closes all of the menus that were opened after a particular menu. Closes all of the
+         * menus in the stack if the root menu is passed in.
+         * @param lastItem Menu whose submenus should be closed.
+         * @returns Whether any menus were closed.
+         */
+        MenuStack.prototype.closeSubMenuOf = function (lastItem) {
+            if (lastItem === this.root) {
+                var hadElements = !this.isEmpty();
+                this.closeAll();
+                return hadElements;
+            }
+            var removed = false;
+            if (this._elements.indexOf(lastItem) > -1) {
+                while (this.peek() !== lastItem) {
+                    this._closed.next({ item: this._elements.pop(), focusParentTrigger: false });
+                    removed = true;
+                }
+            }
+            return removed;
+        };
+        /**
+         * Closes all of the menus in the stack.
+         * @param options Options that determine where focus goes after the menus are closed.
+         */
+        MenuStack.prototype.closeAll = function (options) {
+            if (!this.isEmpty()) {
+                var focusParentTrigger = !!(options && options.focusParentTrigger);
+                while (!this.isEmpty()) {
+                    this._closed.next({ item: this._elements.pop(), focusParentTrigger: focusParentTrigger });
+                }
+                this._emptied.next(options && options.focusNextOnEmpty);
+            }
+        };
+        /** Whether there are no open menus. */
+        MenuStack.prototype.isEmpty = function () {
+            return !this._elements.length;
+        };
+        /** Number of open menus. */
+        MenuStack.prototype.length = function () {
+            return this._elements.length;
+        };
+        /** Gets the most recently opened menu. */
+        MenuStack.prototype.peek = function () {
+            return this._elements[this._elements.length - 1];
+        };
+        /** Whether the menus in the stack are opened from a root menu with a specific orientation. */
+        MenuStack.prototype.hasRootWithOrientation = function (orientation) {
+            return !!this.root && this.root.orientation === orientation;
+        };
+        /** Completes the stack's streams. */
+        MenuStack.prototype.destroy = function () {
+            this._closed.complete();
+            this._emptied.complete();
+        };
+        return MenuStack;
+    }());
+
+    /**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+    /** Positions of a menu that is opened from a horizontal menu or a standalone trigger. */
+    var DROPDOWN_POSITIONS = [
+        { originX: 'start', originY: 'bottom', overlayX: 'start', overlayY: 'top' },
+        { originX: 'start', originY: 'top', overlayX: 'start', overlayY: 'bottom' },
+        { originX: 'end', originY: 'bottom', overlayX: 'end', overlayY: 'top' },
+        { originX: 'end', originY: 'top', overlayX: 'end', overlayY: 'bottom' },
+    ];
+    /** Positions of a menu that is opened from a vertical menu. */
+    var SUBMENU_POSITIONS = [
+        { originX: 'end', originY: 'top', overlayX: 'start', overlayY: 'top' },
+        { originX: 'end', originY: 'bottom', overlayX: 'start', overlayY: 'bottom' },
+        { originX: 'start', originY: 'top', overlayX: 'end', overlayY: 'top' },
+        { originX: 'start', originY: 'bottom', overlayX: 'end', overlayY: 'bottom' },
+    ];
+    /**
+     * A directive that opens a menu panel inside of an overlay when the host element is clicked or
+     * when the user presses the keys that open a menu according to the WAI-ARIA menu pattern. It can
+     * be placed on a `cdkMenuItem` in order to open a submenu, or on any other element in order to
+     * open a standalone menu. The menu is positioned using a `FlexibleConnectedPositionStrategy`
+     * and is closed when the user clicks outside of it.
+     */
+    var CdkMenuTrigger = /** @class */ (function () {
+        function CdkMenuTrigger(_elementRef, _viewContainerRef, _overlay, _parentMenu, _directionality) {
+            this._elementRef = _elementRef;
+            this._viewContainerRef = _viewContainerRef;
+            this._overlay = _overlay;
+            this._parentMenu = _parentMenu;
+            this._directionality = _directionality;
+            this._menuPanel = null;
+            /**
+             * Positions in which the menu can be placed, in order of preference. Defaults to below the
+             * trigger when it is inside of a horizontal menu and to the side of the trigger when it is
+             * inside of a vertical menu.
+             */
+            this.menuPosition = null;
+            this._disabled = false;
+            /** Emits when the attached menu is requested to open. */
+            this.opened = new core.EventEmitter();
+            /** Emits when the attached menu is requested to close. */
+            this.closed = new core.EventEmitter();
+            /** A reference to the overlay which manages the triggered menu. */
+            this._overlayRef = null;
+            /** The content of the menu panel opened by this trigger. */
+            this._panelContent = null;
+            /** Stack of menus used when the trigger isn't placed inside of a menu. */
+            this._standaloneMenuStack = null;
+            /** Emits when the currently open menu is closed. */
+            this._menuClosed = new rxjs.Subject();
+            /** Emits when this trigger is destroyed. */
+            this._destroyed = new rxjs.Subject();
+        }
+        Object.defineProperty(CdkMenuTrigger.prototype, "menuPanel", {
+            /** Template reference variable to the menu this trigger opens. */
+            get: function () { return this._menuPanel; },
+            set: function (panel) {
+                if (panel !== this._menuPanel) {
+                    this.closeMenu();
+                    this._menuPanel = panel;
+                }
+            },
+            enumerable: false,
+            configurable: true
+        });
+        Object.defineProperty(CdkMenuTrigger.prototype, "disabled", {
+            /** Whether the trigger is disabled. Disabled triggers don't open their menu. */
+            get: function () { return this._disabled; },
+            set: function (value) {
+                this._disabled = coercion.coerceBooleanProperty(value);
+            },
+            enumerable: false,
+            configurable: true
+        });
+        /** Whether the attached menu is open. */
+        CdkMenuTrigger.prototype.isMenuOpen = function () {
+            return !!this._overlayRef && this._overlayRef.hasAttached();
+        };
+        /** Whether the trigger has a menu that it can open. */
+        CdkMenuTrigger.prototype.hasMenu = function () {
+            return !!this._menuPanel;
+        };
+        /** Gets the menu that the trigger opened, if it is open. */
+        CdkMenuTrigger.prototype.getMenu = function () {
+            return this.isMenuOpen() && this._menuPanel ? this._menuPanel._menu : undefined;
+        };
+        /** Opens the attached menu if it is closed and closes it if it is open. */
+        CdkMenuTrigger.prototype.toggle = function () {
+            this.isMenuOpen() ? this.closeMenu() : this.openMenu();
+        };
+        /** Opens the attached menu, closing any of the sibling menus that are open. */
+        CdkMenuTrigger.prototype.openMenu = function () {
+            var panel = this._menuPanel;
+            if (this.disabled || !panel || this.isMenuOpen()) {
+                return;
+            }
+            var menuStack = this._getMenuStack();
+            if (this._parentMenu) {
+                menuStack.closeSubMenuOf(this._parentMenu);
+            }
+            if (!this._overlayRef) {
+                this._overlayRef = this._overlay.create(this._getOverlayConfig());
+            }
+            else {
+                var positionStrategy = this._overlayRef.getConfig().positionStrategy;
+                positionStrategy.withPositions(this._getOverlayPositions());
+            }
+            if (!this._panelContent || this._panelContent.templateRef !== panel._templateRef) {
+                this._panelContent = new portal.TemplatePortal(panel._templateRef, this._viewContainerRef);
+            }
+            // The menu inside of the panel pushes itself onto the stack when it is created.
+            panel._menuStack = menuStack;
+            this._overlayRef.attach(this._panelContent);
+            this._subscribeToMenuStack(menuStack);
+            this._subscribeToOutsideClicks(menuStack);
+            this.opened.next();
+        };
+        /** Closes the attached menu, along with any of the submenus that were opened from it. */
+        CdkMenuTrigger.prototype.closeMenu = function () {
+            if (this.isMenuOpen()) {
+                var menu = this.getMenu();
+                // Closing through the stack ensures that the submenus are closed as well.
+                // The stack will notify the trigger once it's done so it can detach the overlay.
+                if (menu) {
+                    this._getMenuStack().close(menu);
+                }
+                this._detachOverlay();
+            }
+        };
+        CdkMenuTrigger.prototype.ngOnDestroy = function () {
+            this.closeMenu();
+            if (this._overlayRef) {
+                this._overlayRef.dispose();
+                this._overlayRef = null;
+            }
+            if (this._standaloneMenuStack) {
+                this._standaloneMenuStack.destroy();
+            }
+            this._menuClosed.complete();
+            this._destroyed.next();
+            this._destroyed.complete();
+        };
+        /** Gets the ID of the menu that the trigger opened, if it is open. */
+        CdkMenuTrigger.prototype._getMenuId = function () {
+            var menu = this.getMenu();
+            return menu ? menu.id : null;
+        };
+        /** Handles keyboard events on the trigger. */
+        CdkMenuTrigger.prototype._handleKeydown = function (event) {
+            if (keycodes.hasModifierKey(event)) {
+                return;
+            }
+            var keyCode = event.keyCode;
+            var isParentVertical = !!this._parentMenu && this._parentMenu.orientation === 'vertical';
+            switch (keyCode) {
+                case keycodes.SPACE:
+                case keycodes.ENTER:
+                    event.preventDefault();
+                    this.toggle();
+                    this._focusMenu('first');
+                    break;
+                case keycodes.RIGHT_ARROW:
+                case keycodes.LEFT_ARROW:
+                    // Arrows pointing away from the parent menu open the submenu. The arrows pointing back
+                    // towards the parent menu are handled by the parent's items since they also apply to
+                    // items that don't have a submenu.
+                    var isRtl = !!this._directionality && this._directionality.value === 'rtl';
+                    if (isParentVertical && (keyCode === keycodes.RIGHT_ARROW) !== isRtl) {
+                        event.preventDefault();
+                        this.openMenu();
+                        this._focusMenu('first');
+                    }
+                    break;
+                case keycodes.UP_ARROW:
+                case keycodes.DOWN_ARROW:
+                    if (!isParentVertical) {
+                        event.preventDefault();
+                        this.openMenu();
+                        this._focusMenu(keyCode === keycodes.DOWN_ARROW ? 'first' : 'last');
+                    }
+                    break;
+            }
+        };
+        /** Moves focus into the open menu. */
+        CdkMenuTrigger.prototype._focusMenu = function (position) {
+            var menu = this.getMenu();
+            if (menu) {
+                position === 'first' ? menu.focusFirstItem('keyboard') : menu.focusLastItem('keyboard');
+            }
+        };
+        /** Detaches the overlay containing the menu and notifies any listeners. */
+        CdkMenuTrigger.prototype._detachOverlay = function () {
+            if (this.isMenuOpen()) {
+                this._menuClosed.next();
+                this._overlayRef.detach();
+                if (this._menuPanel) {
+                    this._menuPanel._menu = undefined;
+                }
+                this.closed.next();
+            }
+        };
+        /** Gets the stack that the opened menu should be pushed onto. */
+        CdkMenuTrigger.prototype._getMenuStack = function () {
+            if (this._parentMenu && this._parentMenu._menuStack) {
+                return this._parentMenu._menuStack;
+            }
+            if (!this._standaloneMenuStack) {
+                this._standaloneMenuStack = new MenuStack();
+            }
+            return this._standaloneMenuStack;
+        };
+        /** Detaches the menu once it has been closed through the menu stack. */
+        CdkMenuTrigger.prototype._subscribeToMenuStack = function (menuStack) {
+            var _this = this;
+            menuStack.closed.pipe(operators.filter(function (event) { return !!_this._menuPanel && event.item === _this._menuPanel._menu; }), operators.takeUntil(rxjs.merge(this._menuClosed, this._destroyed))).subscribe(function (event) {
+                _this._detachOverlay();
+                if (event.focusParentTrigger) {
+                    _this._elementRef.nativeElement.focus();
+                }
+            });
+        };
+        /** Closes all of the open menus when the user clicks outside of them. */
+        CdkMenuTrigger.prototype._subscribeToOutsideClicks = function (menuStack) {
+            this._overlayRef.outsidePointerEvents().pipe(operators.takeUntil(rxjs.merge(this._menuClosed, this._destroyed))).subscribe(function (event) {
+                if (!isClickInsideMenuOverlay(event.target)) {
+                    menuStack.closeAll();
+                }
+            });
+        };
+        /** Gets the positions in which the menu can be placed. */
+        CdkMenuTrigger.prototype._getOverlayPositions = function () {
+            if (this.menuPosition) {
+                return this.menuPosition;
+            }
+            return this._parentMenu && this._parentMenu.orientation === 'vertical' ?
+                SUBMENU_POSITIONS : DROPDOWN_POSITIONS;
+        };
+        /** Gets the configuration for the overlay that the menu is rendered in. */
+        CdkMenuTrigger.prototype._getOverlayConfig = function () {
+            return new overlay.OverlayConfig({
+                positionStrategy: this._overlay.position()
+                    .flexibleConnectedTo(this._elementRef)
+                    .withLockedPosition()
+                    .withGrowAfterOpen()
+                    .withPositions(this._getOverlayPositions()),
+                scrollStrategy: this._overlay.scrollStrategies.reposition(),
+                direction: this._directionality,
+            });
+        };
+        return CdkMenuTrigger;
+    }());
+    CdkMenuTrigger.decorators = [
+        { type: core.Directive, args: [{
+                    selector: '[cdkMenuTriggerFor]',
+                    exportAs: 'cdkMenuTriggerFor',
+                    host: {
+                        'class': 'cdk-menu-trigger',
+                        'aria-haspopup': 'menu',
+                        '[attr.aria-expanded]': 'isMenuOpen()',
+                        '[attr.aria-controls]': '_getMenuId()',
+                        '(click)': 'toggle()',
+                        '(keydown)': '_handleKeydown($event)',
+                    },
+                },] }
+    ];
+    CdkMenuTrigger.ctorParameters = function () { return [
+        { type: core.ElementRef },
+        { type: core.ViewContainerRef },
+        { type: overlay.Overlay },
+        { type: undefined, decorators: [{ type: core.Optional }, { type: core.Inject, args: [CDK_MENU,] }] },
+        { type: bidi.Directionality, decorators: [{ type: core.Optional }] }
+    ]; };
+    CdkMenuTrigger.propDecorators = {
+        menuPanel: [{ type: core.Input, args: ['cdkMenuTriggerFor',] }],
+        menuPosition: [{ type: core.Input, args: ['cdkMenuPosition',] }],
+        disabled: [{ type: core.Input, args: ['cdkMenuTriggerDisabled',] }],
+        opened: [{ type: core.Output, args: ['cdkMenuOpened',] }],
+        closed: [{ type: core.Output, args: ['cdkMenuClosed',] }]
+    };
+    /**
+     * Whether the target element is inside of a menu which is rendered in an overlay, or is the
+     * trigger of an open menu. Clicks on such elements are handled by the menus themselves.
+     */
+    function isClickInsideMenuOverlay(target) {
+        while (target) {
+            var classList = target.classList;
+            var isOpenTrigger = !!classList && classList.contains('cdk-menu-trigger') &&
+                target.getAttribute('aria-expanded') === 'true';
+            var isOverlayMenu = !!classList && classList.contains('cdk-menu') &&
+                !classList.contains('cdk-menu-inline');
+            if (isOpenTrigger || isOverlayMenu) {
+                return true;
+            }
+            target = target.parentElement;
+        }
+        return false;
+    }
+
+    /**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+    /**
+     * Directive which provides the ability for an element to be focused and navigated to using the
+     * keyboard when residing in a CdkMenu, CdkMenuBar, or CdkMenuGroup. It performs user defined
+     * behavior when clicked, or opens a submenu when combined with a `cdkMenuTriggerFor`.
+     */
+    var CdkMenuItem = /** @class */ (function () {
+        function CdkMenuItem(_elementRef, _ngZone, 
+        /** The menu that the item belongs to. */
+        _parentMenu, 
+        /** Reference to the provided menu aim service. */
+        _menuAim, _dir, 
+        /** Reference to the CdkMenuTrigger directive if one is added to the same element. */
+        _menuTrigger) {
+            this._elementRef = _elementRef;
+            this._ngZone = _ngZone;
+            this._parentMenu = _parentMenu;
+            this._menuAim = _menuAim;
+            this._dir = _dir;
+            this._menuTrigger = _menuTrigger;
+            this._disabled = false;
+            /**
+             * The text used to locate this item during menu typeahead. If not specified,
+             * the `textContent` of the item will be used.
+             */
+            this.typeaheadLabel = null;
+            /**
+             * If this MenuItem is a regular MenuItem, outputs when it is triggered by a keyboard or mouse
+             * event.
+             */
+            this.triggered = new core.EventEmitter();
+            /**
+             * The tabindex for this menu item managed internally and used for implementing roving a
+             * tab index.
+             * @docs-private
+             */
+            this._tabindex = -1;
+            /** Emits when the menu item is destroyed. */
+            this._destroyed = new rxjs.Subject();
+            // Items outside of a menu have to be reachable through the keyboard on their own.
+            if (!_parentMenu) {
+                this._tabindex = 0;
+            }
+            this._setupMouseEnter();
+        }
+        Object.defineProperty(CdkMenuItem.prototype, "disabled", {
+            /** Whether the menu item is disabled. */
+            get: function () { return this._disabled; },
+            set: function (value) {
+                this._disabled = coercion.coerceBooleanProperty(value);
+                // Disabled items shouldn't be able to open their submenu either.
+                if (this._menuTrigger) {
+                    this._menuTrigger.disabled = this._disabled;
+                }
+            },
+            enumerable: false,
+            configurable: true
+        });
+        /** Place focus on the element. */
+        CdkMenuItem.prototype.focus = function () {
+            this._elementRef.nativeElement.focus();
+        };
+        /**
+         * If the menu item is not disabled and the element does not have a menu trigger attached, emit
+         * on the cdkMenuItemTriggered emitter and close all open menus.
+         */
+        CdkMenuItem.prototype.trigger = function () {
+            if (!this.disabled && !this.hasMenu()) {
+                this.triggered.next();
+                var menuStack = this._getMenuStack();
+                if (menuStack) {
+                    menuStack.closeAll({ focusParentTrigger: true });
+                }
+            }
+        };
+        /** Whether the menu item opens a menu. */
+        CdkMenuItem.prototype.hasMenu = function () {
+            return !!this._menuTrigger && this._menuTrigger.hasMenu();
+        };
+        /** Return true if this MenuItem has an attached menu and it is open. */
+        CdkMenuItem.prototype.isMenuOpen = function () {
+            return !!this._menuTrigger && this._menuTrigger.isMenuOpen();
+        };
+        /**
+         * Get a reference to the rendered Menu if the Menu is open and it is visible in the DOM.
+         * @return the menu if it is open, otherwise undefined.
+         */
+        CdkMenuItem.prototype.getMenu = function () {
+            return this._menuTrigger ? this._menuTrigger.getMenu() : undefined;
+        };
+        /** Get the CdkMenuTrigger associated with this element. */
+        CdkMenuItem.prototype.getMenuTrigger = function () {
+            return this._menuTrigger;
+        };
+        /** Get the label for this element which is required by the FocusableOption interface. */
+        CdkMenuItem.prototype.getLabel = function () {
+            if (this.typeaheadLabel) {
+                return this.typeaheadLabel;
+            }
+            var textContent = this._elementRef.nativeElement.textContent;
+            return textContent ? textContent.trim() : '';
+        };
+        CdkMenuItem.prototype.ngOnDestroy = function () {
+            this._destroyed.next();
+            this._destroyed.complete();
+        };
+        /**
+         * Handles keyboard events for the menu item, specifically either triggering the user defined
+         * callback or closing the menus when moving back towards the root menu.
+         * @docs-private
+         */
+        CdkMenuItem.prototype._onKeydown = function (event) {
+            if (keycodes.hasModifierKey(event)) {
+                return;
+            }
+            switch (event.keyCode) {
+                case keycodes.SPACE:
+                case keycodes.ENTER:
+                    // Items with a submenu are toggled by their trigger.
+                    if (!this.hasMenu()) {
+                        event.preventDefault();
+                        this.trigger();
+                    }
+                    break;
+                case keycodes.RIGHT_ARROW:
+                case keycodes.LEFT_ARROW:
+                    if (this._parentMenu && this._parentMenu.orientation === 'vertical') {
+                        var isRtl = !!this._dir && this._dir.value === 'rtl';
+                        if ((event.keyCode === keycodes.LEFT_ARROW) !== isRtl) {
+                            this._backArrowPressed(event);
+                        }
+                        else if (!this.hasMenu()) {
+                            // The arrow pointing away from the root menu is handled by
+                            // the trigger if the item opens a submenu.
+                            this._forwardArrowPressed(event);
+                        }
+                    }
+                    break;
+            }
+        };
+        /**
+         * Closes the parent menu when the user presses the arrow pointing back towards the root menu.
+         * If the menus were opened from a horizontal root menu (e.g. a menu bar), the root menu moves
+         * focus to its previous item once all of the menus are closed.
+         */
+        CdkMenuItem.prototype._backArrowPressed = function (event) {
+            var menuStack = this._getMenuStack();
+            // Items of a menu which isn't part of the stack (e.g. an inline menu) have nowhere to go.
+            if (menuStack && !menuStack.isEmpty() && this._parentMenu !== menuStack.root) {
+                event.preventDefault();
+                menuStack.close(this._parentMenu, {
+                    focusNextOnEmpty: menuStack.hasRootWithOrientation('horizontal') ?
+                        exports.FocusNext.previousItem : exports.FocusNext.currentItem,
+                    focusParentTrigger: true,
+                });
+            }
+        };
+        /**
+         * Closes all of the menus when the user presses the arrow pointing away from the root menu on
+         * an item without a submenu, if the root menu is horizontal. The root menu then moves focus to
+         * its next item.
+         */
+        CdkMenuItem.prototype._forwardArrowPressed = function (event) {
+            var menuStack = this._getMenuStack();
+            if (menuStack && !menuStack.isEmpty() && menuStack.hasRootWithOrientation('horizontal')) {
+                event.preventDefault();
+                menuStack.closeAll({ focusNextOnEmpty: exports.FocusNext.nextItem });
+            }
+        };
+        /**
+         * Subscribe to the mouseenter events and close any sibling menu items if this element is moused
+         * into. If the item opens a submenu, the submenu is opened instead.
+         */
+        CdkMenuItem.prototype._setupMouseEnter = function () {
+            var _this = this;
+            if (!this._parentMenu) {
+                return;
+            }
+            var toggleMenus = function () { return _this._ngZone.run(function () {
+                if (_this.hasMenu()) {
+                    _this._menuTrigger.openMenu();
+                }
+                else {
+                    var menuStack = _this._getMenuStack();
+                    if (menuStack) {
+                        menuStack.closeSubMenuOf(_this._parentMenu);
+                    }
+                }
+            }); };
+            this._ngZone.runOutsideAngular(function () {
+                rxjs.fromEvent(_this._elementRef.nativeElement, 'mouseenter')
+                    .pipe(operators.takeUntil(_this._destroyed))
+                    .subscribe(function () {
+                    var menuStack = _this._getMenuStack();
+                    // Menus are only opened on hover if the user has already opened one,
+                    // for example by clicking on one of the items of a menu bar.
+                    if (!_this.disabled && menuStack && !menuStack.isEmpty() && !_this.isMenuOpen()) {
+                        _this._menuAim ? _this._menuAim.toggle(toggleMenus) : toggleMenus();
+                    }
+                });
+            });
+        };
+        /** Gets the stack of menus that the item's parent menu belongs to. */
+        CdkMenuItem.prototype._getMenuStack = function () {
+            return this._parentMenu ? this._parentMenu._menuStack : null;
+        };
+        return CdkMenuItem;
+    }());
+    CdkMenuItem.decorators = [
+        { type: core.Directive, args: [{
+                    selector: '[cdkMenuItem]',
+                    exportAs: 'cdkMenuItem',
+                    host: {
+                        'type': 'button',
+                        'role': 'menuitem',
+                        'class': 'cdk-menu-item',
+                        '[tabindex]': '_tabindex',
+                        '[attr.aria-disabled]': 'disabled || null',
+                        '(click)': 'trigger()',
+                        '(keydown)': '_onKeydown($event)',
+                    },
+                },] }
+    ];
+    CdkMenuItem.ctorParameters = function () { return [
+        { type: core.ElementRef },
+        { type: core.NgZone },
+        { type: undefined, decorators: [{ type: core.Optional }, { type: core.Inject, args: [CDK_MENU,] }] },
+        { type: undefined, decorators: [{ type: core.Optional }, { type: core.Inject, args: [MENU_AIM,] }] },
+        { type: bidi.Directionality, decorators: [{ type: core.Optional }] },
+        { type: CdkMenuTrigger, decorators: [{ type: core.Self }, { type: core.Optional }] }
+    ]; };
+    CdkMenuItem.propDecorators = {
+        disabled: [{ type: core.Input, args: ['cdkMenuItemDisabled',] }],
+        typeaheadLabel: [{ type: core.Input, args: ['cdkMenuItemTypeaheadLabel',] }],
+        triggered: [{ type: core.Output, args: ['cdkMenuItemTriggered',] }]
+    };
+
+    /**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+    /** Counter used to create unique IDs for menus. */
+    var nextId = 0;
+    /**
+     * Abstract directive that implements the behavior shared by `CdkMenu` and `CdkMenuBar`, such as
+     * keyboard navigation between the items and a roving tabindex.
+     */
+    var CdkMenuBase = /** @class */ (function () {
+        function CdkMenuBase(_elementRef, _ngZone, _menuAim, _dir) {
+            this._elementRef = _elementRef;
+            this._ngZone = _ngZone;
+            this._menuAim = _menuAim;
+            this._dir = _dir;
+            /** Unique ID of the menu. */
+            this.id = "cdk-menu-" + nextId++;
+            /**
+             * Stack of the open menus that the menu belongs to.
+             * @docs-private
+             */
+            this._menuStack = null;
+            /**
+             * Menu items which belong directly to the menu.
+             * @docs-private
+             */
+            this._items = new core.QueryList();
+            /** Emits when the menu is destroyed. */
+            this._destroyed = new rxjs.Subject();
+            /** Keeps track of the item that is under the user's pointer. */
+            this._pointerTracker = null;
+            /** Item that should be focused once the items have been initialized. */
+            this._pendingFocus = null;
+        }
+        CdkMenuBase.prototype.ngAfterContentInit = function () {
+            var _this = this;
+            this._setKeyManager();
+            this._allItems.changes
+                .pipe(operators.startWith(this._allItems), operators.takeUntil(this._destroyed))
+                .subscribe(function (items) {
+                _this._items.reset(items.filter(function (item) { return item._parentMenu === _this; }));
+                _this._items.notifyOnChanges();
+                _this._updateTabIndices();
+            });
+            this._subscribeToMenuStack();
+            this._setUpMenuAim();
+            if (this._pendingFocus) {
+                var _a = this._pendingFocus, position = _a.position, origin = _a.origin;
+                this._pendingFocus = null;
+                position === 'first' ? this.focusFirstItem(origin) : this.focusLastItem(origin);
+            }
+        };
+        CdkMenuBase.prototype.ngOnDestroy = function () {
+            this._destroyed.next();
+            this._destroyed.complete();
+            if (this._pointerTracker) {
+                this._pointerTracker.destroy();
+            }
+            if (this._isRoot()) {
+                this._menuStack.closeAll();
+                this._menuStack.destroy();
+            }
+        };
+        /** Moves focus to the first item of the menu. */
+        CdkMenuBase.prototype.focusFirstItem = function (focusOrigin) {
+            if (focusOrigin === void 0) { focusOrigin = 'program'; }
+            if (this._keyManager) {
+                this._keyManager.setFocusOrigin(focusOrigin);
+                this._keyManager.setFirstItemActive();
+            }
+            else {
+                this._pendingFocus = { position: 'first', origin: focusOrigin };
+            }
+        };
+        /** Moves focus to the last item of the menu. */
+        CdkMenuBase.prototype.focusLastItem = function (focusOrigin) {
+            if (focusOrigin === void 0) { focusOrigin = 'program'; }
+            if (this._keyManager) {
+                this._keyManager.setFocusOrigin(focusOrigin);
+                this._keyManager.setLastItemActive();
+            }
+            else {
+                this._pendingFocus = { position: 'last', origin: focusOrigin };
+            }
+        };
+        /**
+         * Handles keyboard events for the menu.
+         * @docs-private
+         */
+        CdkMenuBase.prototype._handleKeyEvent = function (event) {
+            var keyManager = this._keyManager;
+            if (!keyManager) {
+                return;
+            }
+            switch (event.keyCode) {
+                case keycodes.ESCAPE:
+                    if (!keycodes.hasModifierKey(event) && this._menuStack && !this._menuStack.isEmpty()) {
+                        event.preventDefault();
+                        if (this._isInline()) {
+                            this._menuStack.closeAll({ focusNextOnEmpty: exports.FocusNext.currentItem });
+                        }
+                        else {
+                            this._menuStack.close(this, {
+                                focusNextOnEmpty: exports.FocusNext.currentItem,
+                                focusParentTrigger: true,
+                            });
+                        }
+                    }
+                    break;
+                case keycodes.TAB:
+                    // Focus is moved back to the root menu before the browser handles
+                    // the tab key so that focus moves to the element after it.
+                    if (this._menuStack) {
+                        this._menuStack.closeAll({ focusParentTrigger: !this._isInline() });
+                    }
+                    break;
+                case keycodes.LEFT_ARROW:
+                case keycodes.RIGHT_ARROW:
+                case keycodes.UP_ARROW:
+                case keycodes.DOWN_ARROW:
+                    this._moveFocus(event);
+                    break;
+                default:
+                    keyManager.setFocusOrigin('keyboard');
+                    keyManager.onKeydown(event);
+            }
+        };
+        /**
+         * Keeps the key manager in sync when one of the items is focused through other means,
+         * e.g. when the user clicks on it.
+         * @docs-private
+         */
+        CdkMenuBase.prototype._handleFocusIn = function (event) {
+            var target = event.target;
+            var item = this._items.find(function (current) { return current._elementRef.nativeElement.contains(target); });
+            if (item && this._keyManager && item !== this._keyManager.activeItem) {
+                this._keyManager.updateActiveItem(item);
+                this._updateTabIndices();
+            }
+        };
+        /** Moves focus between the items, keeping a submenu open if one was open before. */
+        CdkMenuBase.prototype._moveFocus = function (event) {
+            var keyManager = this._keyManager;
+            var previousItem = keyManager.activeItem;
+            var wasOpen = !!previousItem && previousItem.isMenuOpen();
+            keyManager.setFocusOrigin('keyboard');
+            keyManager.onKeydown(event);
+            var activeItem = keyManager.activeItem;
+            if (wasOpen && activeItem !== previousItem) {
+                if (this.orientation === 'horizontal' && activeItem && activeItem.hasMenu()) {
+                    activeItem.getMenuTrigger().openMenu();
+                }
+                else if (this._menuStack) {
+                    this._menuStack.closeSubMenuOf(this);
+                }
+            }
+        };
+        /** Sets up the key manager that handles keyboard navigation between the items. */
+        CdkMenuBase.prototype._setKeyManager = function () {
+            var _this = this;
+            this._keyManager = new a11y.FocusKeyManager(this._items)
+                .withWrap()
+                .withTypeAhead()
+                .withHomeAndEnd();
+            if (this.orientation === 'horizontal') {
+                this._keyManager
+                    .withVerticalOrientation(false)
+                    .withHorizontalOrientation(this._dir ? this._dir.value : 'ltr');
+            }
+            this._keyManager.change
+                .pipe(operators.takeUntil(this._destroyed))
+                .subscribe(function () { return _this._updateTabIndices(); });
+        };
+        /**
+         * Implements a roving tabindex for inline menus, where only the active item can be reached
+         * by tabbing. Items of menus in an overlay are never tabbable.
+         */
+        CdkMenuBase.prototype._updateTabIndices = function () {
+            var tabbableItem;
+            if (this._isInline()) {
+                var activeItem = this._keyManager.activeItem;
+                tabbableItem = activeItem && !activeItem.disabled ?
+                    activeItem : this._items.find(function (item) { return !item.disabled; });
+            }
+            this._items.forEach(function (item) { return item._tabindex = item === tabbableItem ? 0 : -1; });
+        };
+        /** Whether the menu is the one from which the rest of the menus in the stack are opened. */
+        CdkMenuBase.prototype._isRoot = function () {
+            return !!this._menuStack && this._menuStack.root === this;
+        };
+        /** Moves focus within the root menu once all of the menus in the stack have been closed. */
+        CdkMenuBase.prototype._subscribeToMenuStack = function () {
+            var _this = this;
+            if (!this._isRoot()) {
+                return;
+            }
+            this._menuStack.emptied.pipe(operators.takeUntil(this._destroyed)).subscribe(function (focusNext) {
+                var keyManager = _this._keyManager;
+                if (focusNext === exports.FocusNext.nextItem || focusNext === exports.FocusNext.previousItem) {
+                    keyManager.setFocusOrigin('keyboard');
+                    focusNext === exports.FocusNext.nextItem ?
+                        keyManager.setNextItemActive() : keyManager.setPreviousItemActive();
+                    // Open the menu of the newly focused item while keeping focus on the item itself.
+                    var activeItem = keyManager.activeItem;
+                    if (activeItem && activeItem.hasMenu()) {
+                        activeItem.getMenuTrigger().openMenu();
+                    }
+                }
+                else if (focusNext === exports.FocusNext.currentItem && keyManager.activeItem) {
+                    keyManager.setFocusOrigin('keyboard');
+                    keyManager.setActiveItem(keyManager.activeItem);
+                }
+            });
+        };
+        /** Sets up the menu aim service, if one was provided, to track the user's pointer. */
+        CdkMenuBase.prototype._setUpMenuAim = function () {
+            var _this = this;
+            if (this._menuAim) {
+                var menuAim_1 = this._menuAim;
+                this._ngZone.runOutsideAngular(function () {
+                    _this._pointerTracker = new PointerFocusTracker(_this._items);
+                    menuAim_1.initialize(_this, _this._pointerTracker);
+                });
+            }
+        };
+        return CdkMenuBase;
+    }());
+    CdkMenuBase.decorators = [
+        { type: core.Directive }
+    ];
+    CdkMenuBase.ctorParameters = function () { return [
+        { type: core.ElementRef },
+        { type: core.NgZone },
+        { type: undefined },
+        { type: bidi.Directionality }
+    ]; };
+    CdkMenuBase.propDecorators = {
+        id: [{ type: core.Input }],
+        _allItems: [{ type: core.ContentChildren, args: [CdkMenuItem, { descendants: true },] }]
+    };
+
+    /**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+    /**
+     * Directive applied to an ng-template which wraps a `cdkMenu` and provides a reference to the
+     * menu that can be passed to a `cdkMenuTriggerFor`. The menu is rendered inside of an overlay
+     * when the trigger is activated.
+     */
+    var CdkMenuPanel = /** @class */ (function () {
+        function CdkMenuPanel(_templateRef) {
+            this._templateRef = _templateRef;
+            /** Stack of the menus that the panel's menu is pushed onto when it is opened. */
+            this._menuStack = null;
+        }
+        /**
+         * Sets the menu rendered inside of the panel and pushes it onto the menu stack.
+         * @docs-private
+         */
+        CdkMenuPanel.prototype._registerMenu = function (menu) {
+            this._menu = menu;
+            menu._menuStack = this._menuStack;
+            if (this._menuStack) {
+                this._menuStack.push(menu);
+            }
+        };
+        return CdkMenuPanel;
+    }());
+    CdkMenuPanel.decorators = [
+        { type: core.Directive, args: [{
+                    selector: 'ng-template[cdkMenuPanel]',
+                    exportAs: 'cdkMenuPanel',
+                },] }
+    ];
+    CdkMenuPanel.ctorParameters = function () { return [
+        { type: core.TemplateRef }
+    ]; };
+
+    /**
+     * Directive which configures the element as a Menu which should contain child elements marked as
+     * CdkMenuItem or CdkMenuGroup. Sets the appropriate role and aria-attributes for a menu and
+     * contains accessible keyboard and mouse handling logic.
+     *
+     * It also acts as a RadioGroup for elements marked with role `menuitemradio`.
+     */
+    var CdkMenu = /** @class */ (function (_super) {
+        __extends(CdkMenu, _super);
+        function CdkMenu(elementRef, ngZone, _injectedPanel, menuAim, dir) {
+            var _this = _super.call(this, elementRef, ngZone, menuAim, dir) || this;
+            _this._injectedPanel = _injectedPanel;
+            /** Orientation of the menu's items. */
+            _this.orientation = 'vertical';
+            /**
+             * Panel that the menu is rendered in. Only has to be set if the panel
+             * can't be injected, e.g. when the app is using View Engine.
+             */
+            _this.menuPanel = null;
+            /** Emits when the menu is closed through a keyboard, pointer or programmatic interaction. */
+            _this.closed = new core.EventEmitter();
+            // Register as early as possible so the trigger can move focus into the menu right after
+            // it was opened.
+            if (_injectedPanel) {
+                _injectedPanel._registerMenu(_this);
+            }
+            return _this;
+        }
+        CdkMenu.prototype.ngOnInit = function () {
+            var _this = this;
+            if (!this._injectedPanel && this.menuPanel) {
+                this.menuPanel._registerMenu(this);
+            }
+            if (this._isInline()) {
+                this._menuStack = new MenuStack(this);
+            }
+            else if (this._menuStack) {
+                this._menuStack.closed
+                    .pipe(operators.filter(function (event) { return event.item === _this; }), operators.takeUntil(this._destroyed))
+                    .subscribe(function () { return _this.closed.next(); });
+            }
+        };
+        /**
+         * Whether the menu is always rendered in the page, as opposed to inside of an overlay.
+         * @docs-private
+         */
+        CdkMenu.prototype._isInline = function () {
+            return !this._injectedPanel && !this.menuPanel;
+        };
+        return CdkMenu;
+    }(CdkMenuBase));
+    CdkMenu.decorators = [
+        { type: core.Directive, args: [{
+                    selector: '[cdkMenu]',
+                    exportAs: 'cdkMenu',
+                    host: {
+                        'role': 'menu',
+                        'class': 'cdk-menu',
+                        '[class.cdk-menu-inline]': '_isInline()',
+                        '[id]': 'id',
+                        '[attr.aria-orientation]': 'orientation',
+                        '(keydown)': '_handleKeyEvent($event)',
+                        '(focusin)': '_handleFocusIn($event)',
+                    },
+                    providers: [
+                        { provide: CDK_MENU, useExisting: CdkMenu },
+                        { provide: collections.UniqueSelectionDispatcher, useClass: collections.UniqueSelectionDispatcher },
+                    ],
+                },] }
+    ];
+    CdkMenu.ctorParameters = function () { return [
+        { type: core.ElementRef },
+        { type: core.NgZone },
+        { type: CdkMenuPanel, decorators: [{ type: core.Optional }] },
+        { type: undefined, decorators: [{ type: core.Self }, { type: core.Optional }, { type: core.Inject, args: [MENU_AIM,] }] },
+        { type: bidi.Directionality, decorators: [{ type: core.Optional }] }
+    ]; };
+    CdkMenu.propDecorators = {
+        orientation: [{ type: core.Input, args: ['cdkMenuOrientation',] }],
+        menuPanel: [{ type: core.Input, args: ['cdkMenuPanel',] }],
+        closed: [{ type: core.Output, args: ['cdkMenuClosed',] }]
+    };
+
+    /**
+     * Directive applied to an element which configures it as a MenuBar by setting the appropriate
+     * role, aria attributes, and accessible keyboard and mouse handling logic. The component that
+     * this directive is applied to should contain components marked with CdkMenuItem.
+     */
+    var CdkMenuBar = /** @class */ (function (_super) {
+        __extends(CdkMenuBar, _super);
+        function CdkMenuBar(elementRef, ngZone, menuAim, dir) {
+            var _this = _super.call(this, elementRef, ngZone, menuAim, dir) || this;
+            /** Orientation of the menu bar's items. */
+            _this.orientation = 'horizontal';
+            _this._menuStack = new MenuStack(_this);
+            return _this;
+        }
+        /**
+         * Whether the menu is always rendered in the page, as opposed to inside of an overlay.
+         * @docs-private
+         */
+        CdkMenuBar.prototype._isInline = function () {
+            return true;
+        };
+        return CdkMenuBar;
+    }(CdkMenuBase));
+    CdkMenuBar.decorators = [
+        { type: core.Directive, args: [{
+                    selector: '[cdkMenuBar]',
+                    exportAs: 'cdkMenuBar',
+                    host: {
+                        'role': 'menubar',
+                        'class': 'cdk-menu-bar',
+                        '[id]': 'id',
+                        '[attr.aria-orientation]': 'orientation',
+                        '(keydown)': '_handleKeyEvent($event)',
+                        '(focusin)': '_handleFocusIn($event)',
+                    },
+                    providers: [
+                        { provide: CDK_MENU, useExisting: CdkMenuBar },
+                        { provide: collections.UniqueSelectionDispatcher, useClass: collections.UniqueSelectionDispatcher },
+                    ],
+                },] }
+    ];
+    CdkMenuBar.ctorParameters = function () { return [
+        { type: core.ElementRef },
+        { type: core.NgZone },
+        { type: undefined, decorators: [{ type: core.Self }, { type: core.Optional }, { type: core.Inject, args: [MENU_AIM,] }] },
+        { type: bidi.Directionality, decorators: [{ type: core.Optional }] }
+    ]; };
+    CdkMenuBar.propDecorators = {
+        orientation: [{ type: core.Input, args: ['cdkMenuBarOrientation',] }]
+    };
+
+    /**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+    /**
+     * Directive which groups related menu items. Only one of the `cdkMenuItemRadio` items inside of
+     * a group can be checked at a time.
+     */
+    var CdkMenuGroup = /** @class */ (function () {
+        function CdkMenuGroup() {
+        }
+        return CdkMenuGroup;
+    }());
+    CdkMenuGroup.decorators = [
+        { type: core.Directive, args: [{
+                    selector: '[cdkMenuGroup]',
+                    exportAs: 'cdkMenuGroup',
+                    host: {
+                        'role': 'group',
+                        'class': 'cdk-menu-group',
+                    },
+                    providers: [{ provide: collections.UniqueSelectionDispatcher, useClass: collections.UniqueSelectionDispatcher }],
+                },] }
+    ];
+
+    /** Base class providing checked state for selectable MenuItems. */
+    var CdkMenuItemSelectable = /** @class */ (function (_super) {
+        __extends(CdkMenuItemSelectable, _super);
+        function CdkMenuItemSelectable() {
+            var _this = _super.apply(this, __spread(arguments)) || this;
+            _this._checked = false;
+            return _this;
+        }
+        Object.defineProperty(CdkMenuItemSelectable.prototype, "checked", {
+            /** Whether the element is checked. */
+            get: function () { return this._checked; },
+            set: function (value) {
+                this._checked = coercion.coerceBooleanProperty(value);
+            },
+            enumerable: false,
+            configurable: true
+        });
+        /** Toggles the checked state of the item and closes the open menus. */
+        CdkMenuItemSelectable.prototype.trigger = function () {
+            if (!this.disabled) {
+                this._toggleChecked();
+            }
+            _super.prototype.trigger.call(this);
+        };
+        return CdkMenuItemSelectable;
+    }(CdkMenuItem));
+    CdkMenuItemSelectable.decorators = [
+        { type: core.Directive }
+    ];
+    CdkMenuItemSelectable.propDecorators = {
+        checked: [{ type: core.Input, args: ['cdkMenuItemChecked',] }]
+    };
+
+    /**
+     * A directive providing behavior for the "menuitemcheckbox" ARIA role, which behaves similarly to
+     * a conventional checkbox.
+     */
+    var CdkMenuItemCheckbox = /** @class */ (function (_super) {
+        __extends(CdkMenuItemCheckbox, _super);
+        function CdkMenuItemCheckbox() {
+            return _super !== null && _super.apply(this, arguments) || this;
+        }
+        CdkMenuItemCheckbox.prototype._toggleChecked = function () {
+            this.checked = !this.checked;
+        };
+        return CdkMenuItemCheckbox;
+    }(CdkMenuItemSelectable));
+    CdkMenuItemCheckbox.decorators = [
+        { type: core.Directive, args: [{
+                    selector: '[cdkMenuItemCheckbox]',
+                    exportAs: 'cdkMenuItemCheckbox',
+                    host: {
+                        'role': 'menuitemcheckbox',
+                        'class': 'cdk-menu-item-checkbox',
+                        '[attr.aria-checked]': '!!checked',
+                    },
+                    providers: [{ provide: CdkMenuItem, useExisting: CdkMenuItemCheckbox }],
+                },] }
+    ];
+
+    /** Counter used to set a unique id and name for a selectable item */
+    var nextId$1 = 0;
+    /**
+     * A directive providing behavior for the "menuitemradio" ARIA role, which behaves similarly to
+     * a conventional radio-button. Any sibling `CdkMenuItemRadio` instances within the same
+     * `CdkMenuGroup` (or menu, if the items aren't in a group) behave as a single radio-button group.
+     */
+    var CdkMenuItemRadio = /** @class */ (function (_super) {
+        __extends(CdkMenuItemRadio, _super);
+        function CdkMenuItemRadio(_selectionDispatcher, elementRef, ngZone, parentMenu, menuAim, dir, 
+        /** Reference to the CdkMenuTrigger directive if one is added to the same element. */
+        menuTrigger) {
+            var _this = _super.call(this, elementRef, ngZone, parentMenu, menuAim, dir, menuTrigger) || this;
+            _this._selectionDispatcher = _selectionDispatcher;
+            /** An ID to identify this radio item to the `UniqueSelectionDispatcher`. */
+            _this._id = "cdk-menu-item-radio-" + nextId$1++;
+            _this._removeDispatcherListener = _selectionDispatcher.listen(function (id) {
+                if (id !== _this._id) {
+                    _this.checked = false;
+                }
+            });
+            return _this;
+        }
+        CdkMenuItemRadio.prototype.ngOnDestroy = function () {
+            _super.prototype.ngOnDestroy.call(this);
+            this._removeDispatcherListener();
+        };
+        CdkMenuItemRadio.prototype._toggleChecked = function () {
+            this.checked = true;
+            this._selectionDispatcher.notify(this._id, '');
+        };
+        return CdkMenuItemRadio;
+    }(CdkMenuItemSelectable));
+    CdkMenuItemRadio.decorators = [
+        { type: core.Directive, args: [{
+                    selector: '[cdkMenuItemRadio]',
+                    exportAs: 'cdkMenuItemRadio',
+                    host: {
+                        'role': 'menuitemradio',
+                        'class': 'cdk-menu-item-radio',
+                        '[attr.aria-checked]': '!!checked',
+                    },
+                    providers: [{ provide: CdkMenuItem, useExisting: CdkMenuItemRadio }],
+                },] }
+    ];
+    CdkMenuItemRadio.ctorParameters = function () { return [
+        { type: collections.UniqueSelectionDispatcher },
+        { type: core.ElementRef },
+        { type: core.NgZone },
+        { type: undefined, decorators: [{ type: core.Optional }, { type: core.Inject, args: [CDK_MENU,] }] },
+        { type: undefined, decorators: [{ type: core.Optional }, { type: core.Inject, args: [MENU_AIM,] }] },
+        { type: bidi.Directionality, decorators: [{ type: core.Optional }] },
+        { type: CdkMenuTrigger, decorators: [{ type: core.Self }, { type: core.Optional }] }
+    ]; };
+
+    /**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+    var EXPORTED_DECLARATIONS = [
+        CdkMenuBar,
+        CdkMenu,
+        CdkMenuPanel,
+        CdkMenuItem,
+        CdkMenuItemRadio,
+        CdkMenuItemCheckbox,
+        CdkMenuTrigger,
+        CdkMenuGroup,
+        CdkTargetMenuAim,
+    ];
+    var CdkMenuModule = /** @class */ (function () {
+        function CdkMenuModule() {
+        }
+        return CdkMenuModule;
+    }());
+    CdkMenuModule.decorators = [
+        { type: core.NgModule, args: [{
+                    imports: [overlay.OverlayModule],
+                    exports: EXPORTED_DECLARATIONS,
+                    declarations: EXPORTED_DECLARATIONS,
+                },] }
+    ];
+
+    /**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+
+    /**
+     * Generated bundle index. Do not edit.
+     */
+
+    exports.CDK_MENU = CDK_MENU;
+    exports.CdkMenu = CdkMenu;
+    exports.CdkMenuBar = CdkMenuBar;
+    exports.CdkMenuBase = CdkMenuBase;
+    exports.CdkMenuGroup = CdkMenuGroup;
+    exports.CdkMenuItem = CdkMenuItem;
+    exports.CdkMenuItemCheckbox = CdkMenuItemCheckbox;
+    exports.CdkMenuItemRadio = CdkMenuItemRadio;
+    exports.CdkMenuItemSelectable = CdkMenuItemSelectable;
+    exports.CdkMenuModule = CdkMenuModule;
+    exports.CdkMenuPanel = CdkMenuPanel;
+    exports.CdkMenuTrigger = CdkMenuTrigger;
+    exports.CdkTargetMenuAim = CdkTargetMenuAim;
+    exports.MENU_AIM = MENU_AIM;
+    exports.MenuStack = MenuStack;
+    exports.PointerFocusTracker = PointerFocusTracker;
+    exports.TargetMenuAim = TargetMenuAim;
+
+    Object.defineProperty(exports, '__esModule', { value: true });
+
+})));
+//# sourceMappingURL=cdk-menu.umd.js.map
@@ -0,0 +1,91 @@
+!function(e,t){"object"==typeof exports&&"undefined"!=typeof module?t(exports,require("rxjs"),require("rxjs/operators"),require("@angular/cdk/bidi"),require("@angular/cdk/collections"),require("@angular/core"),require("@angular/cdk/a11y"),require("@angular/cdk/keycodes"),require("@angular/cdk/coercion"),require("@angular/cdk/overlay"),require("@angular/cdk/portal")):"function"==typeof define&&define.amd?define("@angular/cdk/menu",["exports","rxjs","rxjs/operators","@angular/cdk/bidi","@angular/cdk/collections","@angular/core","@angular/cdk/a11y","@angular/cdk/keycodes","@angular/cdk/coercion","@angular/cdk/overlay","@angular/cdk/portal"],t):t(((e=e||self).ng=e.ng||{},e.ng.cdk=e.ng.cdk||{},e.ng.cdk.menu={}),e.rxjs,e.rxjs.operators,e.ng.cdk.bidi,e.ng.cdk.collections,e.ng.core,e.ng.cdk.a11y,e.ng.cdk.keycodes,e.ng.cdk.coercion,e.ng.cdk.overlay,e.ng.cdk.portal)}(this,(function(e,t,n,i,r,o,s,a,u,c,p){"use strict";
+/**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */var l=function(){function e(e){var i=this;this._items=e,this.entered=this._getItemPointerEntries(),this.exited=this._getItemPointerExits(),this._destroyed=new t.Subject,this.entered.pipe(n.takeUntil(this._destroyed)).subscribe((function(e){i.activeElement=e})),this.exited.pipe(n.takeUntil(this._destroyed)).subscribe((function(){i.previousElement=i.activeElement,i.activeElement=void 0}))}return e.prototype.destroy=function(){this._destroyed.next(),this._destroyed.complete()},e.prototype._getItemPointerEntries=function(){var e=this;return t.defer((function(){return e._items.changes.pipe(n.startWith(e._items),n.mergeMap((function(i){return i.map((function(i){return t.fromEvent(i._elementRef.nativeElement,"mouseenter").pipe(n.mapTo(i),n.takeUntil(e._items.changes))}))})),n.mergeAll())}))},e.prototype._getItemPointerExits=function(){var e=this;return t.defer((function(){return e._items.changes.pipe(n.startWith(e._items),n.mergeMap((function(i){return i.map((function(i){return t.fromEvent(i._elementRef.nativeElement,"mouseleave").pipe(n.mapTo(i),n.takeUntil(e._items.changes))}))})),n.mergeAll())}))},e}(),h=function(e,t){return(h=Object.setPrototypeOf||{__proto__:[]}instanceof Array&&function(e,t){e.__proto__=t}||function(e,t){for(var n in t)Object.prototype.hasOwnProperty.call(t,n)&&(e[n]=t[n])})(e,t)};
+/*! *****************************************************************************
+    Copyright (c) Microsoft Corporation.
+
+    Permission to use, copy, modify, and/or distribute this software for any
+    purpose with or without fee is hereby granted.
+
+    THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES WITH
+    REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF MERCHANTABILITY
+    AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY SPECIAL, DIRECT,
+    INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES WHATSOEVER RESULTING FROM
+    LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION OF CONTRACT, NEGLIGENCE OR
+    OTHER TORTIOUS ACTION, ARISING OUT OF OR IN CONNECTION WITH THE USE OR
+    PERFORMANCE OF THIS SOFTWARE.
+    ***************************************************************************** */function d(e,t){if("function"!=typeof t&&null!==t)throw new TypeError("Class extends value "+String(t)+" is not a constructor or null");function n(){this.constructor=e}h(e,t),e.prototype=null===t?Object.create(t):(n.prototype=t.prototype,new n)}function _(e,t){var n="function"==typeof Symbol&&e[Symbol.iterator];if(!n)return e;var i,r,o=n.call(e),s=[];try{for(;(void 0===t||t-- >0)&&!(i=o.next()).done;)s.push(i.value)}catch(e){r={error:e}}finally{try{i&&!i.done&&(n=o.return)&&n.call(o)}finally{if(r)throw r.error}}return s}function y(){for(var e=[],t=0;t<arguments.length;t++)e=e.concat(_(arguments[t]));return e}
+/**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+var m=new o.InjectionToken("cdk-menu-aim");function g(e,t){return e.y-t*e.x}function f(e,t,n){var i=e.left,r=e.right,o=e.top,s=e.bottom;return t*i+n>=o&&t*i+n<=s||t*r+n>=o&&t*r+n<=s||(o-n)/t>=i&&(o-n)/t<=r||(s-n)/t>=i&&(s-n)/t<=r}var v,k=function(){function e(e){this._ngZone=e,this._points=[],this._timeoutId=null,this._pendingToggle=null,this._destroyed=new t.Subject}return e.prototype.ngOnDestroy=function(){null!==this._timeoutId&&clearTimeout(this._timeoutId),this._destroyed.next(),this._destroyed.complete()},e.prototype.initialize=function(e,t){this._menu=e,this._pointerTracker=t,this._subscribeToMouseMoves()},e.prototype.toggle=function(e){this._menu&&"horizontal"!==this._menu.orientation?null!==this._timeoutId?this._pendingToggle=e:this._points.length>1&&this._isMovingToSubmenu()?this._startTimeout(e):e():e()},e.prototype._startTimeout=function(e){var t=this;this._pendingToggle=e,this._timeoutId=setTimeout((function(){var e=t._pendingToggle;t._timeoutId=t._pendingToggle=null,e&&t._pointerTracker.activeElement&&e()}),300)},e.prototype._isMovingToSubmenu=function(){var e=this._getSubmenuBounds();if(!e)return!1;for(var t,n,i=0,r=this._points[this._points.length-1],o=this._points.length-2;o>=0;o--){var s=((n=this._points[o]).y-(t=r).y)/(n.x-t.x);f(e,s,g(r,s))&&i++}return i>=Math.floor(2.5)},e.prototype._getSubmenuBounds=function(){var e=this._pointerTracker&&this._pointerTracker.previousElement,t=e&&e.getMenu();return t?t._elementRef.nativeElement.getBoundingClientRect():void 0},e.prototype._subscribeToMouseMoves=function(){var e=this;this._ngZone.runOutsideAngular((function(){t.fromEvent(e._menu._elementRef.nativeElement,"mousemove").pipe(n.filter((function(e,t){return t%3==0})),n.takeUntil(e._destroyed)).subscribe((function(t){e._points.push({x:t.clientX,y:t.clientY}),e._points.length>5&&e._points.shift()}))}))},e}();k.decorators=[{type:o.Injectable}],k.ctorParameters=function(){return[{type:o.NgZone}]},(v=function v(){}).decorators=[{type:o.Directive,args:[{selector:"[cdkTargetMenuAim]",exportAs:"cdkTargetMenuAim",providers:[{provide:m,useClass:k}]}]}];
+/**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+var M,b=new o.InjectionToken("cdk-menu");
+/**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */(M=e.FocusNext||(e.FocusNext={}))[M.nextItem=0]="nextItem",M[M.previousItem=1]="previousItem",M[M.currentItem=2]="currentItem";var O=function(){function e(e){void 0===e&&(e=null),this.root=e,this._elements=[],this._closed=new t.Subject,this._emptied=new t.Subject,this.closed=this._closed,this.emptied=this._emptied}return e.prototype.push=function(e){this._elements.push(e)},e.prototype.close=function(e,t){if(this._elements.indexOf(e)>-1){var n=!(!t||!t.focusParentTrigger),i=void 0;do{i=this._elements.pop(),this._closed.next({item:i,focusParentTrigger:n})}while(i!==e);this.isEmpty()&&this._emptied.next(t&&t.focusNextOnEmpty)}},e.prototype.closeSubMenuOf=function(e){if(e===this.root){var t=!this.isEmpty();return this.closeAll(),t}var n=!1;if(this._elements.indexOf(e)>-1)for(;this.peek()!==e;)this._closed.next({item:this._elements.pop(),focusParentTrigger:!1}),n=!0;return n},e.prototype.closeAll=function(e){if(!this.isEmpty()){for(var t=!(!e||!e.focusParentTrigger);!this.isEmpty();)this._closed.next({item:this._elements.pop(),focusParentTrigger:t});this._emptied.next(e&&e.focusNextOnEmpty)}},e.prototype.isEmpty=function(){return!this._elements.length},e.prototype.length=function(){return this._elements.length},e.prototype.peek=function(){return this._elements[this._elements.length-1]},e.prototype.hasRootWithOrientation=function(e){return!!this.root&&this.root.orientation===e},e.prototype.destroy=function(){this._closed.complete(),this._emptied.complete()},e}(),I=[{originX:"start",originY:"bottom",overlayX:"start",overlayY:"top"},{originX:"start",originY:"top",overlayX:"start",overlayY:"bottom"},{originX:"end",originY:"bottom",overlayX:"end",overlayY:"top"},{originX:"end",originY:"top",overlayX:"end",overlayY:"bottom"}],T=[{originX:"end",originY:"top",overlayX:"start",overlayY:"top"},{originX:"end",originY:"bottom",overlayX:"start",overlayY:"bottom"},{originX:"start",originY:"top",overlayX:"end",overlayY:"top"},{originX:"start",originY:"bottom",overlayX:"end",overlayY:"bottom"}],x=function(){function e(e,n,i,r,s){this._elementRef=e,this._viewContainerRef=n,this._overlay=i,this._parentMenu=r,this._directionality=s,this._menuPanel=null,this.menuPosition=null,this._disabled=!1,this.opened=new o.EventEmitter,this.closed=new o.EventEmitter,this._overlayRef=null,this._panelContent=null,this._standaloneMenuStack=null,this._menuClosed=new t.Subject,this._destroyed=new t.Subject}return Object.defineProperty(e.prototype,"menuPanel",{get:function(){return this._menuPanel},set:function(e){e!==this._menuPanel&&(this.closeMenu(),this._menuPanel=e)},enumerable:!1,configurable:!0}),Object.defineProperty(e.prototype,"disabled",{get:function(){return this._disabled},set:function(e){this._disabled=u.coerceBooleanProperty(e)},enumerable:!1,configurable:!0}),e.prototype.isMenuOpen=function(){return!!this._overlayRef&&this._overlayRef.hasAttached()},e.prototype.hasMenu=function(){return!!this._menuPanel},e.prototype.getMenu=function(){return this.isMenuOpen()&&this._menuPanel?this._menuPanel._menu:void 0},e.prototype.toggle=function(){this.isMenuOpen()?this.closeMenu():this.openMenu()},e.prototype.openMenu=function(){var e=this._menuPanel;if(!this.disabled&&e&&!this.isMenuOpen()){var t=this._getMenuStack();this._parentMenu&&t.closeSubMenuOf(this._parentMenu),this._overlayRef?this._overlayRef.getConfig().positionStrategy.withPositions(this._getOverlayPositions()):this._overlayRef=this._overlay.create(this._getOverlayConfig()),this._panelContent&&this._panelContent.templateRef===e._templateRef||(this._panelContent=new p.TemplatePortal(e._templateRef,this._viewContainerRef)),e._menuStack=t,this._overlayRef.attach(this._panelContent),this._subscribeToMenuStack(t),this._subscribeToOutsideClicks(t),this.opened.next()}},e.prototype.closeMenu=function(){if(this.isMenuOpen()){var e=this.getMenu();e&&this._getMenuStack().close(e),this._detachOverlay()}},e.prototype.ngOnDestroy=function(){this.closeMenu(),this._overlayRef&&(this._overlayRef.dispose(),this._overlayRef=null),this._standaloneMenuStack&&this._standaloneMenuStack.destroy(),this._menuClosed.complete(),this._destroyed.next(),this._destroyed.complete()},e.prototype._getMenuId=function(){var e=this.getMenu();return e?e.id:null},e.prototype._handleKeydown=function(e){if(!a.hasModifierKey(e)){var t=e.keyCode,n=!!this._parentMenu&&"vertical"===this._parentMenu.orientation;switch(t){case a.SPACE:case a.ENTER:e.preventDefault(),this.toggle(),this._focusMenu("first");break;case a.RIGHT_ARROW:case a.LEFT_ARROW:n&&t===a.RIGHT_ARROW!=(!!this._directionality&&"rtl"===this._directionality.value)&&(e.preventDefault(),this.openMenu(),this._focusMenu("first"));break;case a.UP_ARROW:case a.DOWN_ARROW:n||(e.preventDefault(),this.openMenu(),this._focusMenu(t===a.DOWN_ARROW?"first":"last"))}}},e.prototype._focusMenu=function(e){var t=this.getMenu();t&&("first"===e?t.focusFirstItem("keyboard"):t.focusLastItem("keyboard"))},e.prototype._detachOverlay=function(){this.isMenuOpen()&&(this._menuClosed.next(),this._overlayRef.detach(),this._menuPanel&&(this._menuPanel._menu=void 0),this.closed.next())},e.prototype._getMenuStack=function(){return this._parentMenu&&this._parentMenu._menuStack?this._parentMenu._menuStack:(this._standaloneMenuStack||(this._standaloneMenuStack=new O),this._standaloneMenuStack)},e.prototype._subscribeToMenuStack=function(e){var i=this;e.closed.pipe(n.filter((function(e){return!!i._menuPanel&&e.item===i._menuPanel._menu})),n.takeUntil(t.merge(this._menuClosed,this._destroyed))).subscribe((function(e){i._detachOverlay(),e.focusParentTrigger&&i._elementRef.nativeElement.focus()}))},e.prototype._subscribeToOutsideClicks=function(e){this._overlayRef.outsidePointerEvents().pipe(n.takeUntil(t.merge(this._menuClosed,this._destroyed))).subscribe((function(t){(function n(e){for(;e;){var t=e.classList,n=!!t&&t.contains("cdk-menu-trigger")&&"true"===e.getAttribute("aria-expanded"),i=!!t&&t.contains("cdk-menu")&&!t.contains("cdk-menu-inline");if(n||i)return!0;e=e.parentElement}return!1}
+/**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */)(t.target)||e.closeAll()}))},e.prototype._getOverlayPositions=function(){return this.menuPosition?this.menuPosition:this._parentMenu&&"vertical"===this._parentMenu.orientation?T:I},e.prototype._getOverlayConfig=function(){return new c.OverlayConfig({positionStrategy:this._overlay.position().flexibleConnectedTo(this._elementRef).withLockedPosition().withGrowAfterOpen().withPositions(this._getOverlayPositions()),scrollStrategy:this._overlay.scrollStrategies.reposition(),direction:this._directionality})},e}();
+/**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */x.decorators=[{type:o.Directive,args:[{selector:"[cdkMenuTriggerFor]",exportAs:"cdkMenuTriggerFor",host:{class:"cdk-menu-trigger","aria-haspopup":"menu","[attr.aria-expanded]":"isMenuOpen()","[attr.aria-controls]":"_getMenuId()","(click)":"toggle()","(keydown)":"_handleKeydown($event)"}}]}],x.ctorParameters=function(){return[{type:o.ElementRef},{type:o.ViewContainerRef},{type:c.Overlay},{type:void 0,decorators:[{type:o.Optional},{type:o.Inject,args:[b]}]},{type:i.Directionality,decorators:[{type:o.Optional}]}]},x.propDecorators={menuPanel:[{type:o.Input,args:["cdkMenuTriggerFor"]}],menuPosition:[{type:o.Input,args:["cdkMenuPosition"]}],disabled:[{type:o.Input,args:["cdkMenuTriggerDisabled"]}],opened:[{type:o.Output,args:["cdkMenuOpened"]}],closed:[{type:o.Output,args:["cdkMenuClosed"]}]};var S=function(){function i(e,n,i,r,s,a){this._elementRef=e,this._ngZone=n,this._parentMenu=i,this._menuAim=r,this._dir=s,this._menuTrigger=a,this._disabled=!1,this.typeaheadLabel=null,this.triggered=new o.EventEmitter,this._tabindex=-1,this._destroyed=new t.Subject,i||(this._tabindex=0),this._setupMouseEnter()}return Object.defineProperty(i.prototype,"disabled",{get:function(){return this._disabled},set:function(e){this._disabled=u.coerceBooleanProperty(e),this._menuTrigger&&(this._menuTrigger.disabled=this._disabled)},enumerable:!1,configurable:!0}),i.prototype.focus=function(){this._elementRef.nativeElement.focus()},i.prototype.trigger=function(){if(!this.disabled&&!this.hasMenu()){this.triggered.next();var e=this._getMenuStack();e&&e.closeAll({focusParentTrigger:!0})}},i.prototype.hasMenu=function(){return!!this._menuTrigger&&this._menuTrigger.hasMenu()},i.prototype.isMenuOpen=function(){return!!this._menuTrigger&&this._menuTrigger.isMenuOpen()},i.prototype.getMenu=function(){return this._menuTrigger?this._menuTrigger.getMenu():void 0},i.prototype.getMenuTrigger=function(){return this._menuTrigger},i.prototype.getLabel=function(){if(this.typeaheadLabel)return this.typeaheadLabel;var e=this._elementRef.nativeElement.textContent;return e?e.trim():""},i.prototype.ngOnDestroy=function(){this._destroyed.next(),this._destroyed.complete()},i.prototype._onKeydown=function(e){if(!a.hasModifierKey(e))switch(e.keyCode){case a.SPACE:case a.ENTER:this.hasMenu()||(e.preventDefault(),this.trigger());break;case a.RIGHT_ARROW:case a.LEFT_ARROW:this._parentMenu&&"vertical"===this._parentMenu.orientation&&(e.keyCode===a.LEFT_ARROW!=(!!this._dir&&"rtl"===this._dir.value)?this._backArrowPressed(e):this.hasMenu()||this._forwardArrowPressed(e))}},i.prototype._backArrowPressed=function(t){var n=this._getMenuStack();n&&!n.isEmpty()&&this._parentMenu!==n.root&&(t.preventDefault(),n.close(this._parentMenu,{focusNextOnEmpty:n.hasRootWithOrientation("horizontal")?e.FocusNext.previousItem:e.FocusNext.currentItem,focusParentTrigger:!0}))},i.prototype._forwardArrowPressed=function(t){var n=this._getMenuStack();n&&!n.isEmpty()&&n.hasRootWithOrientation("horizontal")&&(t.preventDefault(),n.closeAll({focusNextOnEmpty:e.FocusNext.nextItem}))},i.prototype._setupMouseEnter=function(){var e=this;if(this._parentMenu){var i=function(){return e._ngZone.run((function(){if(e.hasMenu())e._menuTrigger.openMenu();else{var t=e._getMenuStack();t&&t.closeSubMenuOf(e._parentMenu)}}))};this._ngZone.runOutsideAngular((function(){t.fromEvent(e._elementRef.nativeElement,"mouseenter").pipe(n.takeUntil(e._destroyed)).subscribe((function(){var t=e._getMenuStack();e.disabled||!t||t.isEmpty()||e.isMenuOpen()||(e._menuAim?e._menuAim.toggle(i):i())}))}))}},i.prototype._getMenuStack=function(){return this._parentMenu?this._parentMenu._menuStack:null},i}();S.decorators=[{type:o.Directive,args:[{selector:"[cdkMenuItem]",exportAs:"cdkMenuItem",host:{type:"button",role:"menuitem",class:"cdk-menu-item","[tabindex]":"_tabindex","[attr.aria-disabled]":"disabled || null","(click)":"trigger()","(keydown)":"_onKeydown($event)"}}]}],S.ctorParameters=function(){return[{type:o.ElementRef},{type:o.NgZone},{type:void 0,decorators:[{type:o.Optional},{type:o.Inject,args:[b]}]},{type:void 0,decorators:[{type:o.Optional},{type:o.Inject,args:[m]}]},{type:i.Directionality,decorators:[{type:o.Optional}]},{type:x,decorators:[{type:o.Self},{type:o.Optional}]}]},S.propDecorators={disabled:[{type:o.Input,args:["cdkMenuItemDisabled"]}],typeaheadLabel:[{type:o.Input,args:["cdkMenuItemTypeaheadLabel"]}],triggered:[{type:o.Output,args:["cdkMenuItemTriggered"]}]};
+/**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+var P=0,R=function(){function i(e,n,i,r){this._elementRef=e,this._ngZone=n,this._menuAim=i,this._dir=r,this.id="cdk-menu-"+P++,this._menuStack=null,this._items=new o.QueryList,this._destroyed=new t.Subject,this._pointerTracker=null,this._pendingFocus=null}return i.prototype.ngAfterContentInit=function(){var e=this;if(this._setKeyManager(),this._allItems.changes.pipe(n.startWith(this._allItems),n.takeUntil(this._destroyed)).subscribe((function(t){e._items.reset(t.filter((function(t){return t._parentMenu===e}))),e._items.notifyOnChanges(),e._updateTabIndices()})),this._subscribeToMenuStack(),this._setUpMenuAim(),this._pendingFocus){var t=this._pendingFocus,i=t.position,r=t.origin;this._pendingFocus=null,"first"===i?this.focusFirstItem(r):this.focusLastItem(r)}},i.prototype.ngOnDestroy=function(){this._destroyed.next(),this._destroyed.complete(),this._pointerTracker&&this._pointerTracker.destroy(),this._isRoot()&&(this._menuStack.closeAll(),this._menuStack.destroy())},i.prototype.focusFirstItem=function(e){void 0===e&&(e="program"),this._keyManager?(this._keyManager.setFocusOrigin(e),this._keyManager.setFirstItemActive()):this._pendingFocus={position:"first",origin:e}},i.prototype.focusLastItem=function(e){void 0===e&&(e="program"),this._keyManager?(this._keyManager.setFocusOrigin(e),this._keyManager.setLastItemActive()):this._pendingFocus={position:"last",origin:e}},i.prototype._handleKeyEvent=function(t){var n=this._keyManager;if(n)switch(t.keyCode){case a.ESCAPE:a.hasModifierKey(t)||!this._menuStack||this._menuStack.isEmpty()||(t.preventDefault(),this._isInline()?this._menuStack.closeAll({focusNextOnEmpty:e.FocusNext.currentItem}):this._menuStack.close(this,{focusNextOnEmpty:e.FocusNext.currentItem,focusParentTrigger:!0}));break;case a.TAB:this._menuStack&&this._menuStack.closeAll({focusParentTrigger:!this._isInline()});break;case a.LEFT_ARROW:case a.RIGHT_ARROW:case a.UP_ARROW:case a.DOWN_ARROW:this._moveFocus(t);break;default:n.setFocusOrigin("keyboard"),n.onKeydown(t)}},i.prototype._handleFocusIn=function(e){var t=e.target,n=this._items.find((function(e){return e._elementRef.nativeElement.contains(t)}));n&&this._keyManager&&n!==this._keyManager.activeItem&&(this._keyManager.updateActiveItem(n),this._updateTabIndices())},i.prototype._moveFocus=function(e){var t=this._keyManager,n=t.activeItem,i=!!n&&n.isMenuOpen();t.setFocusOrigin("keyboard"),t.onKeydown(e);var r=t.activeItem;i&&r!==n&&("horizontal"===this.orientation&&r&&r.hasMenu()?r.getMenuTrigger().openMenu():this._menuStack&&this._menuStack.closeSubMenuOf(this))},i.prototype._setKeyManager=function(){var e=this;this._keyManager=new s.FocusKeyManager(this._items).withWrap().withTypeAhead().withHomeAndEnd(),"horizontal"===this.orientation&&this._keyManager.withVerticalOrientation(!1).withHorizontalOrientation(this._dir?this._dir.value:"ltr"),this._keyManager.change.pipe(n.takeUntil(this._destroyed)).subscribe((function(){return e._updateTabIndices()}))},i.prototype._updateTabIndices=function(){var e;if(this._isInline()){var t=this._keyManager.activeItem;e=t&&!t.disabled?t:this._items.find((function(e){return!e.disabled}))}this._items.forEach((function(t){return t._tabindex=t===e?0:-1}))},i.prototype._isRoot=function(){return!!this._menuStack&&this._menuStack.root===this},i.prototype._subscribeToMenuStack=function(){var t=this;this._isRoot()&&this._menuStack.emptied.pipe(n.takeUntil(this._destroyed)).subscribe((function(n){var i=t._keyManager;if(n===e.FocusNext.nextItem||n===e.FocusNext.previousItem){i.setFocusOrigin("keyboard"),n===e.FocusNext.nextItem?i.setNextItemActive():i.setPreviousItemActive();var r=i.activeItem;r&&r.hasMenu()&&r.getMenuTrigger().openMenu()}else n===e.FocusNext.currentItem&&i.activeItem&&(i.setFocusOrigin("keyboard"),i.setActiveItem(i.activeItem))}))},i.prototype._setUpMenuAim=function(){var e=this;if(this._menuAim){var t=this._menuAim;this._ngZone.runOutsideAngular((function(){e._pointerTracker=new l(e._items),t.initialize(e,e._pointerTracker)}))}},i}();R.decorators=[{type:o.Directive}],R.ctorParameters=function(){return[{type:o.ElementRef},{type:o.NgZone},{type:void 0},{type:i.Directionality}]},R.propDecorators={id:[{type:o.Input}],_allItems:[{type:o.ContentChildren,args:[S,{descendants:!0}]}]};
+/**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+var E=function(){function e(e){this._templateRef=e,this._menuStack=null}return e.prototype._registerMenu=function(e){this._menu=e,e._menuStack=this._menuStack,this._menuStack&&this._menuStack.push(e)},e}();E.decorators=[{type:o.Directive,args:[{selector:"ng-template[cdkMenuPanel]",exportAs:"cdkMenuPanel"}]}],E.ctorParameters=function(){return[{type:o.TemplateRef}]};var A=function(e){function t(t,n,i,r,s){var a=e.call(this,t,n,r,s)||this;return a._injectedPanel=i,a.orientation="vertical",a.menuPanel=null,a.closed=new o.EventEmitter,i&&i._registerMenu(a),a}return d(t,e),t.prototype.ngOnInit=function(){var e=this;!this._injectedPanel&&this.menuPanel&&this.menuPanel._registerMenu(this),this._isInline()?this._menuStack=new O(this):this._menuStack&&this._menuStack.closed.pipe(n.filter((function(t){return t.item===e})),n.takeUntil(this._destroyed)).subscribe((function(){return e.closed.next()}))},t.prototype._isInline=function(){return!this._injectedPanel&&!this.menuPanel},t}(R);A.decorators=[{type:o.Directive,args:[{selector:"[cdkMenu]",exportAs:"cdkMenu",host:{role:"menu",class:"cdk-menu","[class.cdk-menu-inline]":"_isInline()","[id]":"id","[attr.aria-orientation]":"orientation","(keydown)":"_handleKeyEvent($event)","(focusin)":"_handleFocusIn($event)"},providers:[{provide:b,useExisting:A},{provide:r.UniqueSelectionDispatcher,useClass:r.UniqueSelectionDispatcher}]}]}],A.ctorParameters=function(){return[{type:o.ElementRef},{type:o.NgZone},{type:E,decorators:[{type:o.Optional}]},{type:void 0,decorators:[{type:o.Self},{type:o.Optional},{type:o.Inject,args:[m]}]},{type:i.Directionality,decorators:[{type:o.Optional}]}]},A.propDecorators={orientation:[{type:o.Input,args:["cdkMenuOrientation"]}],menuPanel:[{type:o.Input,args:["cdkMenuPanel"]}],closed:[{type:o.Output,args:["cdkMenuClosed"]}]};var w,C=function(e){function t(t,n,i,r){var o=e.call(this,t,n,i,r)||this;return o.orientation="horizontal",o._menuStack=new O(o),o}return d(t,e),t.prototype._isInline=function(){return!0},t}(R);C.decorators=[{type:o.Directive,args:[{selector:"[cdkMenuBar]",exportAs:"cdkMenuBar",host:{role:"menubar",class:"cdk-menu-bar","[id]":"id","[attr.aria-orientation]":"orientation","(keydown)":"_handleKeyEvent($event)","(focusin)":"_handleFocusIn($event)"},providers:[{provide:b,useExisting:C},{provide:r.UniqueSelectionDispatcher,useClass:r.UniqueSelectionDispatcher}]}]}],C.ctorParameters=function(){return[{type:o.ElementRef},{type:o.NgZone},{type:void 0,decorators:[{type:o.Self},{type:o.Optional},{type:o.Inject,args:[m]}]},{type:i.Directionality,decorators:[{type:o.Optional}]}]},C.propDecorators={orientation:[{type:o.Input,args:["cdkMenuBarOrientation"]}]},(w=function w(){}).decorators=[{type:o.Directive,args:[{selector:"[cdkMenuGroup]",exportAs:"cdkMenuGroup",host:{role:"group",class:"cdk-menu-group"},providers:[{provide:r.UniqueSelectionDispatcher,useClass:r.UniqueSelectionDispatcher}]}]}];var D=function(e){function t(){var t=e.apply(this,y(arguments))||this;return t._checked=!1,t}return d(t,e),Object.defineProperty(t.prototype,"checked",{get:function(){return this._checked},set:function(e){this._checked=u.coerceBooleanProperty(e)},enumerable:!1,configurable:!0}),t.prototype.trigger=function(){this.disabled||this._toggleChecked(),e.prototype.trigger.call(this)},t}(S);D.decorators=[{type:o.Directive}],D.propDecorators={checked:[{type:o.Input,args:["cdkMenuItemChecked"]}]};var F=function(e){function t(){return null!==e&&e.apply(this,arguments)||this}return d(t,e),t.prototype._toggleChecked=function(){this.checked=!this.checked},t}(D);F.decorators=[{type:o.Directive,args:[{selector:"[cdkMenuItemCheckbox]",exportAs:"cdkMenuItemCheckbox",host:{role:"menuitemcheckbox",class:"cdk-menu-item-checkbox","[attr.aria-checked]":"!!checked"},providers:[{provide:S,useExisting:F}]}]}];var j=0,N=function(e){function t(t,n,i,r,o,s,a){var u=e.call(this,n,i,r,o,s,a)||this;return u._selectionDispatcher=t,u._id="cdk-menu-item-radio-"+j++,u._removeDispatcherListener=t.listen((function(e){e!==u._id&&(u.checked=!1)})),u}return d(t,e),t.prototype.ngOnDestroy=function(){e.prototype.ngOnDestroy.call(this),this._removeDispatcherListener()},t.prototype._toggleChecked=function(){this.checked=!0,this._selectionDispatcher.notify(this._id,"")},t}(D);N.decorators=[{type:o.Directive,args:[{selector:"[cdkMenuItemRadio]",exportAs:"cdkMenuItemRadio",host:{role:"menuitemradio",class:"cdk-menu-item-radio","[attr.aria-checked]":"!!checked"},providers:[{provide:S,useExisting:N}]}]}],N.ctorParameters=function(){return[{type:r.UniqueSelectionDispatcher},{type:o.ElementRef},{type:o.NgZone},{type:void 0,decorators:[{type:o.Optional},{type:o.Inject,args:[b]}]},{type:void 0,decorators:[{type:o.Optional},{type:o.Inject,args:[m]}]},{type:i.Directionality,decorators:[{type:o.Optional}]},{type:x,decorators:[{type:o.Self},{type:o.Optional}]}]};
+/**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+var U,W=[C,A,E,S,N,F,x,w,v];(U=function U(){}).decorators=[{type:o.NgModule,args:[{imports:[c.OverlayModule],exports:W,declarations:W}]}],
+/**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+e.CDK_MENU=b,e.CdkMenu=A,e.CdkMenuBar=C,e.CdkMenuBase=R,e.CdkMenuGroup=w,e.CdkMenuItem=S,e.CdkMenuItemCheckbox=F,e.CdkMenuItemRadio=N,e.CdkMenuItemSelectable=D,e.CdkMenuModule=U,e.CdkMenuPanel=E,e.CdkMenuTrigger=x,e.CdkTargetMenuAim=v,e.MENU_AIM=m,e.MenuStack=O,e.PointerFocusTracker=l,e.TargetMenuAim=k,Object.defineProperty(e,"__esModule",{value:!0})}));
\ No newline at end of file
@@ -760,15 +760,23 @@
         /** The position used as a result of this change. */
         connectionPair, 
         /** @docs-private */
-        scrollableViewProperties) {
+        scrollableViewProperties, 
+        /**
+         * Placement of the overlay's arrow, if the strategy was configured to position one
+         * through `withArrowOn` and the overlay is next to one of the origin's edges.
+         */
+        arrowPosition) {
+            if (arrowPosition === void 0) { arrowPosition = null; }
             this.connectionPair = connectionPair;
             this.scrollableViewProperties = scrollableViewProperties;
+            this.arrowPosition = arrowPosition;
         }
         return ConnectedOverlayPositionChange;
     }());
     ConnectedOverlayPositionChange.ctorParameters = function () { return [
         { type: ConnectionPositionPair },
-        { type: ScrollingVisibility, decorators: [{ type: i0.Optional }] }
+        { type: ScrollingVisibility, decorators: [{ type: i0.Optional }] },
+        { type: undefined }
     ]; };
     /**
      * Validates whether a vertical position property matches the expected values.
@@ -1521,16 +1529,28 @@
             this._viewportMargin = 0;
             /** The Scrollable containers used to check scrollable view properties on position change. */
             this._scrollables = [];
+            /** Element, in addition to the viewport, within which the overlay has to fit. */
+            this._boundary = null;
+            /** Cached boundary dimensions, narrowed down to the viewport. */
+            this._boundaryRect = null;
+            /** Elements that the overlay should avoid overlapping. */
+            this._obstacles = [];
+            /** Cached dimensions of the obstacles. */
+            this._obstacleRects = [];
             /** Ordered list of preferred positions, from most to least desirable. */
             this._preferredPositions = [];
             /** Subject that emits whenever the position changes. */
             this._positionChanges = new rxjs.Subject();
             /** Subscription to viewport size changes. */
             this._resizeSubscription = rxjs.Subscription.EMPTY;
+            /** Subscription to the changes of a virtual origin. */
+            this._originChangesSubscription = rxjs.Subscription.EMPTY;
             /** Default offset for the overlay along the x axis. */
             this._offsetX = 0;
             /** Default offset for the overlay along the y axis. */
             this._offsetY = 0;
+            /** Minimum distance in pixels between the arrow and the corners of the overlay. */
+            this._arrowPadding = 0;
             /** Keeps track of the CSS classes that the position strategy has applied on the overlay panel. */
             this._appliedPanelClasses = [];
             /** Observable sequence of position changes. */
@@ -1603,6 +1623,8 @@
             // the overlay relative to the origin.
             // We use the viewport rect to determine whether a position would go off-screen.
             this._viewportRect = this._getNarrowedViewportRect();
+            this._boundaryRect = this._getBoundaryRect();
+            this._obstacleRects = this._getObstacleRects();
             this._originRect = this._getOriginRect();
             this._overlayRect = this._pane.getBoundingClientRect();
             var originRect = this._originRect;
@@ -1729,6 +1751,7 @@
                 this._overlayRef.hostElement.classList.remove(boundingBoxClass);
             }
             this.detach();
+            this._originChangesSubscription.unsubscribe();
             this._positionChanges.complete();
             this._overlayRef = this._boundingBox = null;
             this._isDisposed = true;
@@ -1743,6 +1766,7 @@
                 this._originRect = this._getOriginRect();
                 this._overlayRect = this._pane.getBoundingClientRect();
                 this._viewportRect = this._getNarrowedViewportRect();
+                this._boundaryRect = this._getBoundaryRect();
                 var lastPosition = this._lastPosition || this._preferredPositions[0];
                 var originPoint = this._getOriginPoint(this._originRect, lastPosition);
                 this._applyPosition(lastPosition, originPoint);
@@ -1771,6 +1795,27 @@
             this._validatePositions();
             return this;
         };
+        /**
+         * Sets an element, such as a scrolling panel or a dashboard tile, within which the overlay has
+         * to fit in addition to the viewport. The boundary is taken into account when picking one of
+         * the preferred positions and when pushing the overlay, however flexible dimensions are still
+         * only constrained by the viewport.
+         * @param boundary Element that the overlay has to fit within, or null to only use the viewport.
+         */
+        FlexibleConnectedPositionStrategy.prototype.withBoundary = function (boundary) {
+            this._boundary = boundary;
+            return this;
+        };
+        /**
+         * Sets elements that the overlay should avoid overlapping, such as other overlays. Preferred
+         * positions in which the overlay would cover one of them are treated as not fitting, and the
+         * fallback position that covers them the least is favored.
+         * @param obstacles Elements or overlays that the overlay should avoid overlapping.
+         */
+        FlexibleConnectedPositionStrategy.prototype.withObstacles = function (obstacles) {
+            this._obstacles = obstacles;
+            return this;
+        };
         /**
          * Sets a minimum distance the overlay may be positioned to the edge of the viewport.
          * @param margin Required margin between the overlay and the viewport edge in pixels.
@@ -1812,11 +1857,26 @@
          * Sets the origin, relative to which to position the overlay.
          * Using an element origin is useful for building components that need to be positioned
          * relatively to a trigger (e.g. dropdown menus or tooltips), whereas using a point can be
-         * used for cases like contextual menus which open relative to the user's pointer.
+         * used for cases like contextual menus which open relative to the user's pointer. A virtual
+         * origin supplies its dimensions on demand and can notify the strategy when it has moved.
          * @param origin Reference to the new origin.
          */
         FlexibleConnectedPositionStrategy.prototype.setOrigin = function (origin) {
+            var _this = this;
+            // Avoid resubscribing to the changes of an origin that is set again, e.g. by a directive
+            // that updates the strategy whenever any of its inputs change.
+            if (origin === this._origin) {
+                return this;
+            }
             this._origin = origin;
+            this._originChangesSubscription.unsubscribe();
+            if (isVirtualOrigin(origin) && origin.changes) {
+                this._originChangesSubscription = origin.changes.subscribe(function () {
+                    if (_this._overlayRef && _this._overlayRef.hasAttached()) {
+                        _this.apply();
+                    }
+                });
+            }
             return this;
         };
         /**
@@ -1847,6 +1907,20 @@
             this._transformOriginSelector = selector;
             return this;
         };
+        /**
+         * Configures that the position strategy should position an arrow element inside the overlay,
+         * such that it points towards the center of the origin. The arrow is kept within the edges of
+         * the overlay, even if the overlay was pushed on-screen or its size was constrained. The
+         * applied placement is exposed through the `arrowPosition` of the position changes.
+         * @param selector CSS selector that will be used to find the arrow element inside the overlay.
+         * @param padding Minimum distance in pixels between the arrow and the corners of the overlay.
+         */
+        FlexibleConnectedPositionStrategy.prototype.withArrowOn = function (selector, padding) {
+            if (padding === void 0) { padding = 0; }
+            this._arrowSelector = selector;
+            this._arrowPadding = padding;
+            return this;
+        };
         /**
          * Gets the (x, y) coordinate of a connection point on the origin based on a relative position.
          */
@@ -1921,15 +1995,25 @@
             var rightOverflow = (x + overlay.width) - viewport.width;
             var topOverflow = 0 - y;
             var bottomOverflow = (y + overlay.height) - viewport.height;
+            if (this._boundaryRect) {
+                var boundary = this._boundaryRect;
+                leftOverflow = boundary.left - x;
+                rightOverflow = (x + overlay.width) - boundary.right;
+                topOverflow = boundary.top - y;
+                bottomOverflow = (y + overlay.height) - boundary.bottom;
+            }
             // Visible parts of the element on each axis.
             var visibleWidth = this._subtractOverflows(overlay.width, leftOverflow, rightOverflow);
             var visibleHeight = this._subtractOverflows(overlay.height, topOverflow, bottomOverflow);
-            var visibleArea = visibleWidth * visibleHeight;
+            // Parts of the overlay that cover one of the obstacles count as not being visible.
+            var obstructedArea = this._getObstructedArea(x, y, overlay);
+            var visibleArea = Math.max(visibleWidth * visibleHeight - obstructedArea, 0);
             return {
                 visibleArea: visibleArea,
                 isCompletelyWithinViewport: (overlay.width * overlay.height) === visibleArea,
                 fitsInViewportVertically: visibleHeight === overlay.height,
                 fitsInViewportHorizontally: visibleWidth == overlay.width,
+                isObstructed: obstructedArea > 0,
             };
         };
         /**
@@ -1939,9 +2023,11 @@
          * @param viewport The geometry of the viewport.
          */
         FlexibleConnectedPositionStrategy.prototype._canFitWithFlexibleDimensions = function (fit, point, viewport) {
-            if (this._hasFlexibleDimensions) {
-                var availableHeight = viewport.bottom - point.y;
-                var availableWidth = viewport.right - point.x;
+            // Resizing the overlay won't prevent it from covering an obstacle.
+            if (this._hasFlexibleDimensions && !fit.isObstructed) {
+                var bounds = this._boundaryRect || viewport;
+                var availableHeight = bounds.bottom - point.y;
+                var availableWidth = bounds.right - point.x;
                 var minHeight = getPixelValue(this._overlayRef.getConfig().minHeight);
                 var minWidth = getPixelValue(this._overlayRef.getConfig().minWidth);
                 var verticalFit = fit.fitsInViewportVertically ||
@@ -1977,29 +2063,37 @@
             // viewport, because the viewport is always rounded.
             var overlay = getRoundedBoundingClientRect(rawOverlayRect);
             var viewport = this._viewportRect;
-            // Determine how much the overlay goes outside the viewport on each
-            // side, which we'll use to decide which direction to push it.
-            var overflowRight = Math.max(start.x + overlay.width - viewport.width, 0);
-            var overflowBottom = Math.max(start.y + overlay.height - viewport.height, 0);
-            var overflowTop = Math.max(viewport.top - scrollPosition.top - start.y, 0);
-            var overflowLeft = Math.max(viewport.left - scrollPosition.left - start.x, 0);
+            var boundary = this._boundaryRect;
             // Amount by which to push the overlay in each axis such that it remains on-screen.
             var pushX = 0;
             var pushY = 0;
-            // If the overlay fits completely within the bounds of the viewport, push it from whichever
-            // direction is goes off-screen. Otherwise, push the top-left corner such that its in the
-            // viewport and allow for the trailing end of the overlay to go out of bounds.
-            if (overlay.width <= viewport.width) {
-                pushX = overflowLeft || -overflowRight;
-            }
-            else {
-                pushX = start.x < this._viewportMargin ? (viewport.left - scrollPosition.left) - start.x : 0;
-            }
-            if (overlay.height <= viewport.height) {
-                pushY = overflowTop || -overflowBottom;
+            if (boundary) {
+                pushX = getPushAmount(start.x, overlay.width, boundary.left, boundary.right);
+                pushY = getPushAmount(start.y, overlay.height, boundary.top, boundary.bottom);
             }
             else {
-                pushY = start.y < this._viewportMargin ? (viewport.top - scrollPosition.top) - start.y : 0;
+                // Determine how much the overlay goes outside the viewport on each
+                // side, which we'll use to decide which direction to push it.
+                var overflowRight = Math.max(start.x + overlay.width - viewport.width, 0);
+                var overflowBottom = Math.max(start.y + overlay.height - viewport.height, 0);
+                var overflowTop = Math.max(viewport.top - scrollPosition.top - start.y, 0);
+                var overflowLeft = Math.max(viewport.left - scrollPosition.left - start.x, 0);
+                // If the overlay fits completely within the bounds of the viewport, push it from whichever
+                // direction is goes off-screen. Otherwise, push the top-left corner such that its in the
+                // viewport and allow for the trailing end of the overlay to go out of bounds.
+                if (overlay.width <= viewport.width) {
+                    pushX = overflowLeft || -overflowRight;
+                }
+                else {
+                    pushX = start.x < this._viewportMargin ?
+                        (viewport.left - scrollPosition.left) - start.x : 0;
+                }
+                if (overlay.height <= viewport.height) {
+                    pushY = overflowTop || -overflowBottom;
+                }
+                else {
+                    pushY = start.y < this._viewportMargin ? (viewport.top - scrollPosition.top) - start.y : 0;
+                }
             }
             this._previousPushAmount = { x: pushX, y: pushY };
             return {
@@ -2016,6 +2110,7 @@
             this._setTransformOrigin(position);
             this._setOverlayElementStyles(originPoint, position);
             this._setBoundingBoxStyles(originPoint, position);
+            var arrowPosition = this._setArrowStyles(position);
             if (position.panelClass) {
                 this._addPanelClasses(position.panelClass);
             }
@@ -2026,7 +2121,7 @@
             // calculcations can be somewhat expensive.
             if (this._positionChanges.observers.length) {
                 var scrollableViewProperties = this._getScrollVisibility();
-                var changeEvent = new ConnectedOverlayPositionChange(position, scrollableViewProperties);
+                var changeEvent = new ConnectedOverlayPositionChange(position, scrollableViewProperties, arrowPosition);
                 this._positionChanges.next(changeEvent);
             }
             this._isInitialRender = false;
@@ -2052,6 +2147,68 @@
                 elements[i].style.transformOrigin = xOrigin + " " + yOrigin;
             }
         };
+        /**
+         * Positions the arrow inside the overlay, based on the configured selector, such that it points
+         * towards the center of the origin while staying within the edges of the overlay.
+         * @returns The applied placement or null if there is no arrow or if the overlay isn't
+         *    next to one of the origin's edges.
+         */
+        FlexibleConnectedPositionStrategy.prototype._setArrowStyles = function (position) {
+            var arrow = this._arrowSelector ? this._pane.querySelector(this._arrowSelector) : null;
+            if (!arrow) {
+                return null;
+            }
+            var side = this._getArrowSide(position);
+            extendStyles(arrow.style, { left: '', top: '' });
+            if (!side) {
+                return null;
+            }
+            // The overlay has to be measured after the position has been applied, because
+            // pushing and flexible dimensions can change its final placement and size.
+            var overlayRect = this._pane.getBoundingClientRect();
+            var arrowRect = arrow.getBoundingClientRect();
+            var originRect = this._originRect;
+            var isAlongX = side === 'top' || side === 'bottom';
+            var originCenter = isAlongX ? originRect.left + originRect.width / 2 :
+                originRect.top + originRect.height / 2;
+            var overlayStart = isAlongX ? overlayRect.left : overlayRect.top;
+            var overlaySize = isAlongX ? overlayRect.width : overlayRect.height;
+            var arrowSize = isAlongX ? arrowRect.width : arrowRect.height;
+            var minOffset = this._arrowPadding;
+            var maxOffset = overlaySize - arrowSize - this._arrowPadding;
+            var offset;
+            // Center the arrow if the overlay is too small to respect the padding.
+            if (maxOffset < minOffset) {
+                offset = (overlaySize - arrowSize) / 2;
+            }
+            else {
+                offset = Math.min(Math.max(originCenter - overlayStart - arrowSize / 2, minOffset), maxOffset);
+            }
+            offset = Math.round(offset);
+            if (isAlongX) {
+                arrow.style.left = coercion.coerceCssPixelValue(offset);
+            }
+            else {
+                arrow.style.top = coercion.coerceCssPixelValue(offset);
+            }
+            return { side: side, offset: offset };
+        };
+        /** Gets the edge of the overlay which faces the origin, if the overlay is next to the origin. */
+        FlexibleConnectedPositionStrategy.prototype._getArrowSide = function (position) {
+            if (position.originY === 'bottom' && position.overlayY === 'top') {
+                return 'top';
+            }
+            if (position.originY === 'top' && position.overlayY === 'bottom') {
+                return 'bottom';
+            }
+            if (position.originX === 'end' && position.overlayX === 'start') {
+                return this._isRtl() ? 'right' : 'left';
+            }
+            if (position.originX === 'start' && position.overlayX === 'end') {
+                return this._isRtl() ? 'left' : 'right';
+            }
+            return null;
+        };
         /**
          * Gets the position and size of the overlay's sizing container.
          *
@@ -2355,6 +2512,128 @@
                 height: height - (2 * this._viewportMargin),
             };
         };
+        /**
+         * Gets the rect of the boundary, relative to the viewport, narrowed down
+         * to the part of it that is inside the viewport minus the viewport margin.
+         */
+        FlexibleConnectedPositionStrategy.prototype._getBoundaryRect = function () {
+            if (!this._boundary) {
+                return null;
+            }
+            var element = this._boundary instanceof i0.ElementRef ?
+                this._boundary.nativeElement : this._boundary;
+            var rect = element.getBoundingClientRect();
+            var viewportSize = this._viewportRuler.getViewportSize();
+            var margin = this._viewportMargin;
+            var top = Math.max(rect.top, margin);
+            var left = Math.max(rect.left, margin);
+            var bottom = Math.min(rect.bottom, viewportSize.height - margin);
+            var right = Math.min(rect.right, viewportSize.width - margin);
+            return {
+                top: top,
+                left: left,
+                bottom: Math.max(bottom, top),
+                right: Math.max(right, left),
+                width: Math.max(right - left, 0),
+                height: Math.max(bottom - top, 0),
+            };
+        };
+        /** Gets the rects of the obstacles that the overlay should avoid, relative to the viewport. */
+        FlexibleConnectedPositionStrategy.prototype._getObstacleRects = function () {
+            var _this = this;
+            var rects = [];
+            this._obstacles.forEach(function (obstacle) {
+                var element;
+                if (obstacle instanceof i0.ElementRef) {
+                    element = obstacle.nativeElement;
+                }
+                else if (isElement(obstacle)) {
+                    element = obstacle;
+                }
+                else {
+                    element = obstacle.hasAttached() ? obstacle.overlayElement : null;
+                }
+                if (element && element !== _this._pane) {
+                    var rect = element.getBoundingClientRect();
+                    // Elements without dimensions, e.g. hidden ones, can't be covered.
+                    if (rect.width && rect.height) {
+                        rects.push(rect);
+                    }
+                }
+            });
+            return rects;
+        };
+        /**
+         * Gets the area (in px^2) of the obstacles that an overlay at the given point would cover.
+         * Parts that are shared by overlapping obstacles are only counted once.
+         */
+        FlexibleConnectedPositionStrategy.prototype._getObstructedArea = function (x, y, overlay) {
+            var e_3, _a;
+            var overlayRight = x + overlay.width;
+            var overlayBottom = y + overlay.height;
+            var coveredRects = [];
+            var edges = [];
+            try {
+                // Only the parts of the obstacles that are inside the overlay matter.
+                for (var _b = __values(this._obstacleRects), _c = _b.next(); !_c.done; _c = _b.next()) {
+                    var obstacle = _c.value;
+                    var top = Math.max(y, obstacle.top);
+                    var bottom = Math.min(overlayBottom, obstacle.bottom);
+                    var left = Math.max(x, obstacle.left);
+                    var right = Math.min(overlayRight, obstacle.right);
+                    if (right > left && bottom > top) {
+                        coveredRects.push({ top: top, bottom: bottom, left: left, right: right, width: right - left, height: bottom - top });
+                        edges.push(left, right);
+                    }
+                }
+            }
+            catch (e_3_1) { e_3 = { error: e_3_1 }; }
+            finally {
+                try {
+                    if (_c && !_c.done && (_a = _b.return)) _a.call(_b);
+                }
+                finally { if (e_3) throw e_3.error; }
+            }
+            edges.sort(function (a, b) { return a - b; });
+            var area = 0;
+            var _loop_1 = function (i) {
+                var e_4, _a;
+                var stripLeft = edges[i - 1];
+                var stripRight = edges[i];
+                if (stripRight === stripLeft) {
+                    return "continue";
+                }
+                var stripRects = coveredRects
+                    .filter(function (rect) { return rect.left <= stripLeft && rect.right >= stripRight; })
+                    .sort(function (a, b) { return a.top - b.top; });
+                var coveredHeight = 0;
+                var coveredBottom = -Infinity;
+                try {
+                    for (var stripRects_1 = (e_4 = void 0, __values(stripRects)), stripRects_1_1 = stripRects_1.next(); !stripRects_1_1.done; stripRects_1_1 = stripRects_1.next()) {
+                        var rect = stripRects_1_1.value;
+                        var top = Math.max(rect.top, coveredBottom);
+                        if (rect.bottom > top) {
+                            coveredHeight += rect.bottom - top;
+                            coveredBottom = rect.bottom;
+                        }
+                    }
+                }
+                catch (e_4_1) { e_4 = { error: e_4_1 }; }
+                finally {
+                    try {
+                        if (stripRects_1_1 && !stripRects_1_1.done && (_a = stripRects_1.return)) _a.call(stripRects_1);
+                    }
+                    finally { if (e_4) throw e_4.error; }
+                }
+                area += coveredHeight * (stripRight - stripLeft);
+            };
+            // Split the overlay into vertical strips at the edges of the obstacles and
+            // add up the height that is covered by at least one obstacle in each strip.
+            for (var i = 1; i < edges.length; i++) {
+                _loop_1(i);
+            }
+            return area;
+        };
         /** Whether the we're dealing with an RTL context */
         FlexibleConnectedPositionStrategy.prototype._isRtl = function () {
             return this._overlayRef.getDirection() === 'rtl';
@@ -2420,6 +2699,9 @@
             if (origin instanceof Element) {
                 return origin.getBoundingClientRect();
             }
+            if (isVirtualOrigin(origin)) {
+                return origin.getBoundingClientRect();
+            }
             var width = origin.width || 0;
             var height = origin.height || 0;
             // If the origin is a point, return a client rect as if it was a 0x0 element at the point.
@@ -2434,6 +2716,30 @@
         };
         return FlexibleConnectedPositionStrategy;
     }());
+    /**
+     * Gets the amount by which to push an overlay along one axis such that it stays within a range.
+     * If the overlay is larger than the range, its start is pushed into the range and its end is
+     * allowed to overflow.
+     */
+    function getPushAmount(start, size, min, max) {
+        if (size > max - min) {
+            return start < min ? min - start : 0;
+        }
+        if (start < min) {
+            return min - start;
+        }
+        return start + size > max ? max - (start + size) : 0;
+    }
+    /** Whether a value is a DOM element. */
+    function isElement(value) {
+        // `Element` isn't defined on the server, where the origin is usually a point.
+        return typeof Element !== 'undefined' && value instanceof Element;
+    }
+    /** Whether an origin supplies its own dimensions without being an element or a point. */
+    function isVirtualOrigin(origin) {
+        return !(origin instanceof i0.ElementRef) && !isElement(origin) &&
+            typeof origin.getBoundingClientRect === 'function';
+    }
     /** Shallow-extends a stylesheet object with another stylesheet object. */
     function extendStyles(destination, source) {
         for (var key in source) {
@@ -3072,6 +3378,12 @@
             this.open = false;
             /** Whether the overlay can be closed by user interaction. */
             this.disableClose = false;
+            /** Minimum distance in pixels between the arrow and the corners of the overlay. */
+            this.arrowPadding = 0;
+            /** Element, in addition to the viewport, within which the overlay has to fit. */
+            this.boundary = null;
+            /** Elements or other overlays that the overlay should avoid overlapping. */
+            this.obstacles = [];
             /** Event emitted when the backdrop is clicked. */
             this.backdropClick = new i0.EventEmitter();
             /** Event emitted when the position has changed. */
@@ -3254,18 +3566,29 @@
                 panelClass: currentPosition.panelClass || undefined,
             }); });
             return positionStrategy
-                .setOrigin(this.origin.elementRef)
+                .setOrigin(this._getFlexibleConnectedPositionStrategyOrigin())
                 .withPositions(positions)
                 .withFlexibleDimensions(this.flexibleDimensions)
                 .withPush(this.push)
                 .withGrowAfterOpen(this.growAfterOpen)
                 .withViewportMargin(this.viewportMargin)
                 .withLockedPosition(this.lockPosition)
-                .withTransformOriginOn(this.transformOriginSelector);
+                .withTransformOriginOn(this.transformOriginSelector)
+                .withArrowOn(this.arrowSelector, this.arrowPadding)
+                .withBoundary(this.boundary)
+                .withObstacles(this.obstacles);
+        };
+        /** Gets the origin that should be passed to the position strategy. */
+        CdkConnectedOverlay.prototype._getFlexibleConnectedPositionStrategyOrigin = function () {
+            if (this.origin instanceof CdkOverlayOrigin) {
+                return this.origin.elementRef;
+            }
+            return this.origin;
         };
         /** Returns the position strategy of the overlay to be set on the overlay config */
         CdkConnectedOverlay.prototype._createPositionStrategy = function () {
-            var strategy = this._overlay.position().flexibleConnectedTo(this.origin.elementRef);
+            var strategy = this._overlay.position()
+                .flexibleConnectedTo(this._getFlexibleConnectedPositionStrategyOrigin());
             this._updatePositionStrategy(strategy);
             return strategy;
         };
@@ -3344,6 +3667,10 @@
         open: [{ type: i0.Input, args: ['cdkConnectedOverlayOpen',] }],
         disableClose: [{ type: i0.Input, args: ['cdkConnectedOverlayDisableClose',] }],
         transformOriginSelector: [{ type: i0.Input, args: ['cdkConnectedOverlayTransformOriginOn',] }],
+        arrowSelector: [{ type: i0.Input, args: ['cdkConnectedOverlayArrowOn',] }],
+        arrowPadding: [{ type: i0.Input, args: ['cdkConnectedOverlayArrowPadding',] }],
+        boundary: [{ type: i0.Input, args: ['cdkConnectedOverlayBoundary',] }],
+        obstacles: [{ type: i0.Input, args: ['cdkConnectedOverlayObstacles',] }],
         hasBackdrop: [{ type: i0.Input, args: ['cdkConnectedOverlayHasBackdrop',] }],
         lockPosition: [{ type: i0.Input, args: ['cdkConnectedOverlayLockPosition',] }],
         flexibleDimensions: [{ type: i0.Input, args: ['cdkConnectedOverlayFlexibleDimensions',] }],
@@ -484,8 +484,6 @@
         function BasePortalOutlet() {
             /** Whether this host has already been permanently disposed. */
             this._isDisposed = false;
-            // @breaking-change 10.0.0 `attachDomPortal` to become a required abstract method.
-            this.attachDomPortal = null;
         }
         /** Whether this host has an attached portal. */
         BasePortalOutlet.prototype.hasAttached = function () {
@@ -511,9 +509,8 @@
             else if (portal instanceof TemplatePortal) {
                 this._attachedPortal = portal;
                 return this.attachTemplatePortal(portal);
-                // @breaking-change 10.0.0 remove null check for `this.attachDomPortal`.
             }
-            else if (this.attachDomPortal && portal instanceof DomPortal) {
+            else if (portal instanceof DomPortal) {
                 this._attachedPortal = portal;
                 return this.attachDomPortal(portal);
             }
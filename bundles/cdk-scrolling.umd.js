@@ -14,6 +14,365 @@
     /** The injection token used to specify the virtual scrolling strategy. */
     var VIRTUAL_SCROLL_STRATEGY = new i0.InjectionToken('VIRTUAL_SCROLL_STRATEGY');
 
+    /**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+    /**
+     * Virtual scrolling strategy for lists with items of unknown or variable size. Items that haven't
+     * been rendered yet are estimated, while rendered items are measured. The measured sizes follow
+     * the items around when the data changes, based on their identity (as determined by the `trackBy`
+     * function of the repeater).
+     */
+    var AutoSizeVirtualScrollStrategy = /** @class */ (function () {
+        /**
+         * @param itemSizeEstimate The size to assume for items that haven't been measured yet, if no
+         *     items have been measured.
+         * @param minBufferPx The minimum amount of buffer (in pixels) before needing to render more
+         * @param maxBufferPx The amount of buffer (in pixels) to render when rendering more.
+         */
+        function AutoSizeVirtualScrollStrategy(itemSizeEstimate, minBufferPx, maxBufferPx) {
+            this._scrolledIndexChange = new rxjs.Subject();
+            /** @docs-private Implemented as part of VirtualScrollStrategy. */
+            this.scrolledIndexChange = this._scrolledIndexChange.pipe(operators.distinctUntilChanged());
+            /** The attached viewport. */
+            this._viewport = null;
+            /** Identities of the items in the data, as of the last time the data changed. */
+            this._itemKeys = [];
+            /** Measured size of each item in the data, or `undefined` if the item hasn't been measured. */
+            this._itemSizes = [];
+            /**
+             * Combined size of the measured items before each index. Contains one entry more than the
+             * number of items, the last of which is the combined size of all of the measured items.
+             */
+            this._measuredSizeSums = [0];
+            /** Number of measured items before each index. Has the same layout as `_measuredSizeSums`. */
+            this._measuredCounts = [0];
+            this._itemSizeEstimate = itemSizeEstimate;
+            this._minBufferPx = minBufferPx;
+            this._maxBufferPx = maxBufferPx;
+        }
+        /**
+         * Attaches this scroll strategy to a viewport.
+         * @param viewport The viewport to attach this strategy to.
+         */
+        AutoSizeVirtualScrollStrategy.prototype.attach = function (viewport) {
+            this._viewport = viewport;
+            this._syncItemKeys();
+            this._updateTotalContentSize();
+            this._updateRenderedRange();
+        };
+        /** Detaches this scroll strategy from the currently attached viewport. */
+        AutoSizeVirtualScrollStrategy.prototype.detach = function () {
+            this._scrolledIndexChange.complete();
+            this._viewport = null;
+        };
+        /**
+         * Update the item size estimate and buffer size.
+         * @param itemSizeEstimate The size to assume for items that haven't been measured yet, if no
+         *     items have been measured.
+         * @param minBufferPx The minimum amount of buffer (in pixels) before needing to render more
+         * @param maxBufferPx The amount of buffer (in pixels) to render when rendering more.
+         */
+        AutoSizeVirtualScrollStrategy.prototype.updateItemSizeEstimateAndBufferSize = function (itemSizeEstimate, minBufferPx, maxBufferPx) {
+            if (maxBufferPx < minBufferPx && (typeof ngDevMode === 'undefined' || ngDevMode)) {
+                throw Error('CDK virtual scroll: maxBufferPx must be greater than or equal to minBufferPx');
+            }
+            this._itemSizeEstimate = itemSizeEstimate;
+            this._minBufferPx = minBufferPx;
+            this._maxBufferPx = maxBufferPx;
+            this._updateTotalContentSize();
+            this._updateRenderedRange();
+        };
+        /**
+         * Clears all of the cached item measurements. Useful when something has changed that affects
+         * the size of all items (e.g. the width of the viewport). Rendered items will be re-measured
+         * the next time the content is rendered.
+         */
+        AutoSizeVirtualScrollStrategy.prototype.resetMeasurements = function () {
+            this._itemSizes = this._itemKeys.map(function () { return undefined; });
+            this._updateMeasuredSums(0);
+            this._updateTotalContentSize();
+            this._updateRenderedRange();
+        };
+        /** @docs-private Implemented as part of VirtualScrollStrategy. */
+        AutoSizeVirtualScrollStrategy.prototype.onContentScrolled = function () {
+            this._updateRenderedRange();
+        };
+        /** @docs-private Implemented as part of VirtualScrollStrategy. */
+        AutoSizeVirtualScrollStrategy.prototype.onDataLengthChanged = function () {
+            // The keys are usually synced through `onDataChanged` already,
+            // but the viewport can also call this method on its own.
+            if (this._viewport && this._viewport.getDataLength() !== this._itemKeys.length) {
+                this._syncItemKeys();
+            }
+            this._updateTotalContentSize();
+            this._updateRenderedRange();
+        };
+        /** @docs-private Implemented as part of VirtualScrollStrategy. */
+        AutoSizeVirtualScrollStrategy.prototype.onDataChanged = function () {
+            this._syncItemKeys();
+            this._updateTotalContentSize();
+            this._updateRenderedRange();
+        };
+        /** @docs-private Implemented as part of VirtualScrollStrategy. */
+        AutoSizeVirtualScrollStrategy.prototype.onContentRendered = function () {
+            var viewport = this._viewport;
+            if (!viewport) {
+                return;
+            }
+            var firstChangedIndex = this._measureRenderedItems();
+            if (firstChangedIndex === -1) {
+                return;
+            }
+            // Some of the measurements changed so the item offsets need to be recalculated. Capture the
+            // item that is currently at the top of the viewport, as well as how far into it the user has
+            // scrolled, so that we can keep it in the same place once the offsets have shifted. Note that
+            // the offsets are still based on the previous measurements at this point.
+            var scrollOffset = viewport.measureScrollOffset();
+            var anchorIndex = this._getIndexAtOffset(scrollOffset);
+            var anchorDelta = scrollOffset - this._getOffset(anchorIndex);
+            this._updateMeasuredSums(firstChangedIndex);
+            this._updateTotalContentSize();
+            viewport.setRenderedContentOffset(this._getOffset(viewport.getRenderedRange().start));
+            var newScrollOffset = this._getOffset(anchorIndex) + anchorDelta;
+            if (newScrollOffset !== scrollOffset) {
+                viewport.scrollToOffset(newScrollOffset);
+            }
+            // Now that we know the real size of the rendered items, we may have to render more of them.
+            this._updateRenderedRange();
+        };
+        /** @docs-private Implemented as part of VirtualScrollStrategy. */
+        AutoSizeVirtualScrollStrategy.prototype.onRenderedOffsetChanged = function () { };
+        /**
+         * Scroll to the offset for the given index.
+         * @param index The index of the element to scroll to.
+         * @param behavior The ScrollBehavior to use when scrolling.
+         */
+        AutoSizeVirtualScrollStrategy.prototype.scrollToIndex = function (index, behavior) {
+            if (this._viewport) {
+                this._viewport.scrollToOffset(this._getOffset(index), behavior);
+            }
+        };
+        /** Gets the size that should be assumed for an item that hasn't been measured. */
+        AutoSizeVirtualScrollStrategy.prototype._getEstimatedItemSize = function () {
+            var lastIndex = this._measuredCounts.length - 1;
+            var measuredCount = this._measuredCounts[lastIndex];
+            return measuredCount ?
+                this._measuredSizeSums[lastIndex] / measuredCount : this._itemSizeEstimate;
+        };
+        /** Gets the offset from the start of the content to the start of the item at an index. */
+        AutoSizeVirtualScrollStrategy.prototype._getOffset = function (index) {
+            index = Math.max(0, Math.min(index, this._measuredCounts.length - 1));
+            // The offset is made up of the sizes of the measured items before the index, plus the
+            // estimated sizes of the rest. Computing it on demand means that we don't have to
+            // recalculate all of the offsets whenever a measurement changes the estimated size.
+            return this._measuredSizeSums[index] +
+                (index - this._measuredCounts[index]) * this._getEstimatedItemSize();
+        };
+        /** Gets the index of the item that is rendered at a particular offset. */
+        AutoSizeVirtualScrollStrategy.prototype._getIndexAtOffset = function (offset) {
+            var start = 0;
+            var end = Math.max(0, this._measuredCounts.length - 2);
+            // The offsets are always sorted so we can do a binary search for the
+            // last item that starts at or before the specified offset.
+            while (start < end) {
+                var middle = Math.ceil((start + end) / 2);
+                if (this._getOffset(middle) <= offset) {
+                    start = middle;
+                }
+                else {
+                    end = middle - 1;
+                }
+            }
+            return start;
+        };
+        /**
+         * Measures all of the items that are currently rendered and caches their sizes.
+         * @returns Index of the first item whose size changed, or -1 if none of them changed.
+         */
+        AutoSizeVirtualScrollStrategy.prototype._measureRenderedItems = function () {
+            var viewport = this._viewport;
+            var range = viewport.getRenderedRange();
+            var end = Math.min(range.end, this._itemSizes.length);
+            var firstChangedIndex = -1;
+            for (var i = range.start; i < end; i++) {
+                var size = viewport.measureRangeSize({ start: i, end: i + 1 });
+                if (this._itemSizes[i] !== size) {
+                    this._itemSizes[i] = size;
+                    if (firstChangedIndex === -1) {
+                        firstChangedIndex = i;
+                    }
+                }
+            }
+            return firstChangedIndex;
+        };
+        /**
+         * Reads the identities of the items in the data and moves their measured sizes to their new
+         * indexes. Measurements of items that are no longer in the data are dropped.
+         */
+        AutoSizeVirtualScrollStrategy.prototype._syncItemKeys = function () {
+            var viewport = this._viewport;
+            var dataLength = viewport.getDataLength();
+            var previousKeys = this._itemKeys;
+            var previousSizes = this._itemSizes;
+            var keys = [];
+            var sizes = [];
+            var remainingSizes = null;
+            var firstChangedIndex = -1;
+            for (var i = 0; i < dataLength; i++) {
+                var key = viewport.getItemKey(i);
+                keys.push(key);
+                // Items that haven't moved keep their measurement.
+                if (!remainingSizes && previousKeys[i] === key && i < previousKeys.length) {
+                    sizes.push(previousSizes[i]);
+                    continue;
+                }
+                if (!remainingSizes) {
+                    firstChangedIndex = i;
+                    remainingSizes = new Map();
+                    // Collect the rest of the measurements in reverse, so that items with the same key
+                    // (e.g. primitives without a `trackBy` function) get them back in their original order.
+                    for (var j = previousKeys.length - 1; j >= i; j--) {
+                        var queue_1 = remainingSizes.get(previousKeys[j]);
+                        if (queue_1) {
+                            queue_1.push(previousSizes[j]);
+                        }
+                        else {
+                            remainingSizes.set(previousKeys[j], [previousSizes[j]]);
+                        }
+                    }
+                }
+                var queue = remainingSizes.get(key);
+                sizes.push(queue && queue.length ? queue.pop() : undefined);
+            }
+            this._itemKeys = keys;
+            this._itemSizes = sizes;
+            this._updateMeasuredSums(firstChangedIndex === -1 ? dataLength : firstChangedIndex);
+        };
+        /**
+         * Recalculates the combined sizes of the measured items, starting from a specific index.
+         * @param fromIndex Index of the first item whose measurement changed.
+         */
+        AutoSizeVirtualScrollStrategy.prototype._updateMeasuredSums = function (fromIndex) {
+            var sizes = this._itemSizes;
+            var sums = this._measuredSizeSums;
+            var counts = this._measuredCounts;
+            sums.length = counts.length = sizes.length + 1;
+            for (var i = fromIndex; i < sizes.length; i++) {
+                var size = sizes[i];
+                sums[i + 1] = sums[i] + (size === undefined ? 0 : size);
+                counts[i + 1] = counts[i] + (size === undefined ? 0 : 1);
+            }
+        };
+        /** Update the viewport's total content size. */
+        AutoSizeVirtualScrollStrategy.prototype._updateTotalContentSize = function () {
+            if (!this._viewport) {
+                return;
+            }
+            this._viewport.setTotalContentSize(this._getOffset(this._itemSizes.length));
+        };
+        /** Update the viewport's rendered range. */
+        AutoSizeVirtualScrollStrategy.prototype._updateRenderedRange = function () {
+            if (!this._viewport) {
+                return;
+            }
+            var viewport = this._viewport;
+            var renderedRange = viewport.getRenderedRange();
+            var viewportSize = viewport.getViewportSize();
+            var dataLength = viewport.getDataLength();
+            var scrollOffset = viewport.measureScrollOffset();
+            var firstVisibleIndex = this._getIndexAtOffset(scrollOffset);
+            var startBuffer = scrollOffset - this._getOffset(renderedRange.start);
+            var endBuffer = this._getOffset(renderedRange.end) - (scrollOffset + viewportSize);
+            var newRange = { start: renderedRange.start, end: renderedRange.end };
+            // Re-calculate the range if we've run out of buffer on either side, or if the data was
+            // changed in a way that leaves the rendered range beyond the end of the list.
+            if ((startBuffer < this._minBufferPx && renderedRange.start != 0) ||
+                (endBuffer < this._minBufferPx && renderedRange.end != dataLength) ||
+                renderedRange.end > dataLength) {
+                newRange = {
+                    start: this._getIndexAtOffset(Math.max(0, scrollOffset - this._maxBufferPx)),
+                    end: Math.min(dataLength, this._getIndexAtOffset(scrollOffset + viewportSize + this._maxBufferPx) + 1)
+                };
+            }
+            viewport.setRenderedRange(newRange);
+            viewport.setRenderedContentOffset(this._getOffset(newRange.start));
+            this._scrolledIndexChange.next(firstVisibleIndex);
+        };
+        return AutoSizeVirtualScrollStrategy;
+    }());
+    /**
+     * Provider factory for `AutoSizeVirtualScrollStrategy` that simply extracts the already created
+     * `AutoSizeVirtualScrollStrategy` from the given directive.
+     * @param autoSizeDir The instance of `CdkAutoSizeVirtualScroll` to extract the
+     *     `AutoSizeVirtualScrollStrategy` from.
+     */
+    function _autoSizeVirtualScrollStrategyFactory(autoSizeDir) {
+        return autoSizeDir._scrollStrategy;
+    }
+    /** A virtual scroll strategy that supports items of unknown or varying size. */
+    var CdkAutoSizeVirtualScroll = /** @class */ (function () {
+        function CdkAutoSizeVirtualScroll() {
+            this._itemSizeEstimate = 50;
+            this._minBufferPx = 100;
+            this._maxBufferPx = 200;
+            /** The scroll strategy used by this directive. */
+            this._scrollStrategy = new AutoSizeVirtualScrollStrategy(this.itemSizeEstimate, this.minBufferPx, this.maxBufferPx);
+        }
+        Object.defineProperty(CdkAutoSizeVirtualScroll.prototype, "itemSizeEstimate", {
+            /**
+             * The size (in pixels) to assume for items that haven't been rendered yet, before any items have
+             * been measured. Once items are measured, their average size is used instead. Defaults to 50px.
+             */
+            get: function () { return this._itemSizeEstimate; },
+            set: function (value) { this._itemSizeEstimate = coercion.coerceNumberProperty(value); },
+            enumerable: false,
+            configurable: true
+        });
+        Object.defineProperty(CdkAutoSizeVirtualScroll.prototype, "minBufferPx", {
+            /**
+             * The minimum amount of buffer rendered beyond the viewport (in pixels).
+             * If the amount of buffer dips below this number, more items will be rendered. Defaults to 100px.
+             */
+            get: function () { return this._minBufferPx; },
+            set: function (value) { this._minBufferPx = coercion.coerceNumberProperty(value); },
+            enumerable: false,
+            configurable: true
+        });
+        Object.defineProperty(CdkAutoSizeVirtualScroll.prototype, "maxBufferPx", {
+            /**
+             * The number of pixels worth of buffer to render for when rendering new items. Defaults to 200px.
+             */
+            get: function () { return this._maxBufferPx; },
+            set: function (value) { this._maxBufferPx = coercion.coerceNumberProperty(value); },
+            enumerable: false,
+            configurable: true
+        });
+        CdkAutoSizeVirtualScroll.prototype.ngOnChanges = function () {
+            this._scrollStrategy.updateItemSizeEstimateAndBufferSize(this.itemSizeEstimate, this.minBufferPx, this.maxBufferPx);
+        };
+        return CdkAutoSizeVirtualScroll;
+    }());
+    CdkAutoSizeVirtualScroll.decorators = [
+        { type: i0.Directive, args: [{
+                    selector: 'cdk-virtual-scroll-viewport[autosize]',
+                    providers: [{
+                            provide: VIRTUAL_SCROLL_STRATEGY,
+                            useFactory: _autoSizeVirtualScrollStrategyFactory,
+                            deps: [i0.forwardRef(function () { return CdkAutoSizeVirtualScroll; })],
+                        }],
+                },] }
+    ];
+    CdkAutoSizeVirtualScroll.propDecorators = {
+        itemSizeEstimate: [{ type: i0.Input }],
+        minBufferPx: [{ type: i0.Input }],
+        maxBufferPx: [{ type: i0.Input }]
+    };
+
     /**
      * @license
      * Copyright Google LLC All Rights Reserved.
@@ -211,6 +570,231 @@
         maxBufferPx: [{ type: i0.Input }]
     };
 
+    /**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+    /**
+     * Virtual scrolling strategy for two-dimensional grids where all rows have the same fixed height
+     * and all columns have the same fixed width. The rows are rendered using `cdkVirtualFor` and the
+     * columns inside each row are rendered using `cdkVirtualColumnFor`.
+     */
+    var FixedSizeVirtualGridStrategy = /** @class */ (function () {
+        /**
+         * @param rowHeight The height of the rows in the grid.
+         * @param columnWidth The width of the columns in the grid.
+         * @param columnCount The total number of columns in the grid.
+         * @param minBufferPx The minimum amount of buffer (in pixels) before needing to render more
+         * @param maxBufferPx The amount of buffer (in pixels) to render when rendering more.
+         */
+        function FixedSizeVirtualGridStrategy(rowHeight, columnWidth, columnCount, minBufferPx, maxBufferPx) {
+            /** The attached viewport. */
+            this._viewport = null;
+            this._rowHeight = rowHeight;
+            this._columnWidth = columnWidth;
+            this._columnCount = columnCount;
+            this._minBufferPx = minBufferPx;
+            this._maxBufferPx = maxBufferPx;
+            this._rowStrategy = new FixedSizeVirtualScrollStrategy(rowHeight, minBufferPx, maxBufferPx);
+            this.scrolledIndexChange = this._rowStrategy.scrolledIndexChange;
+        }
+        /**
+         * Attaches this scroll strategy to a viewport.
+         * @param viewport The viewport to attach this strategy to.
+         */
+        FixedSizeVirtualGridStrategy.prototype.attach = function (viewport) {
+            if (viewport.orientation === 'horizontal' && (typeof ngDevMode === 'undefined' || ngDevMode)) {
+                throw Error('CDK virtual scroll: virtual grids require a vertical viewport.');
+            }
+            this._viewport = viewport;
+            this._rowStrategy.attach(viewport);
+            this._updateTotalColumnContentSize();
+            this._updateRenderedColumnRange();
+        };
+        /** Detaches this scroll strategy from the currently attached viewport. */
+        FixedSizeVirtualGridStrategy.prototype.detach = function () {
+            this._rowStrategy.detach();
+            this._viewport = null;
+        };
+        /**
+         * Update the cell size, number of columns and buffer size.
+         * @param rowHeight The height of the rows in the grid.
+         * @param columnWidth The width of the columns in the grid.
+         * @param columnCount The total number of columns in the grid.
+         * @param minBufferPx The minimum amount of buffer (in pixels) before needing to render more
+         * @param maxBufferPx The amount of buffer (in pixels) to render when rendering more.
+         */
+        FixedSizeVirtualGridStrategy.prototype.updateCellAndBufferSize = function (rowHeight, columnWidth, columnCount, minBufferPx, maxBufferPx) {
+            this._rowStrategy.updateItemAndBufferSize(rowHeight, minBufferPx, maxBufferPx);
+            this._rowHeight = rowHeight;
+            this._columnWidth = columnWidth;
+            this._columnCount = columnCount;
+            this._minBufferPx = minBufferPx;
+            this._maxBufferPx = maxBufferPx;
+            this._updateTotalColumnContentSize();
+            this._updateRenderedColumnRange();
+        };
+        /** @docs-private Implemented as part of VirtualScrollStrategy. */
+        FixedSizeVirtualGridStrategy.prototype.onContentScrolled = function () {
+            this._rowStrategy.onContentScrolled();
+            this._updateRenderedColumnRange();
+        };
+        /** @docs-private Implemented as part of VirtualScrollStrategy. */
+        FixedSizeVirtualGridStrategy.prototype.onDataLengthChanged = function () {
+            this._rowStrategy.onDataLengthChanged();
+            this._updateRenderedColumnRange();
+        };
+        /** @docs-private Implemented as part of VirtualScrollStrategy. */
+        FixedSizeVirtualGridStrategy.prototype.onContentRendered = function () { };
+        /** @docs-private Implemented as part of VirtualScrollStrategy. */
+        FixedSizeVirtualGridStrategy.prototype.onRenderedOffsetChanged = function () { };
+        /**
+         * Scroll to the offset for the given row.
+         * @param index The index of the row to scroll to.
+         * @param behavior The ScrollBehavior to use when scrolling.
+         */
+        FixedSizeVirtualGridStrategy.prototype.scrollToIndex = function (index, behavior) {
+            this._rowStrategy.scrollToIndex(index, behavior);
+        };
+        /**
+         * Scroll to the offset for the given cell.
+         * @param row The index of the row to scroll to.
+         * @param column The index of the column to scroll to.
+         * @param behavior The ScrollBehavior to use when scrolling.
+         */
+        FixedSizeVirtualGridStrategy.prototype.scrollToCell = function (row, column, behavior) {
+            if (this._viewport) {
+                this._viewport.scrollTo({
+                    top: row * this._rowHeight,
+                    start: column * this._columnWidth,
+                    behavior: behavior
+                });
+            }
+        };
+        /** Update the viewport's total column content size. */
+        FixedSizeVirtualGridStrategy.prototype._updateTotalColumnContentSize = function () {
+            if (this._viewport) {
+                this._viewport.setTotalColumnContentSize(this._columnCount * this._columnWidth);
+            }
+        };
+        /** Update the viewport's rendered range of columns. */
+        FixedSizeVirtualGridStrategy.prototype._updateRenderedColumnRange = function () {
+            if (!this._viewport) {
+                return;
+            }
+            var renderedRange = this._viewport.getRenderedColumnRange();
+            var viewportWidth = this._viewport.getViewportWidth();
+            var scrollOffset = this._viewport.measureScrollOffset('start');
+            var columnCount = this._columnCount;
+            var columnWidth = this._columnWidth;
+            var startBuffer = scrollOffset - renderedRange.start * columnWidth;
+            var endBuffer = renderedRange.end * columnWidth - (scrollOffset + viewportWidth);
+            // Only re-render if one of the buffers dips below the minimum, or if the
+            // number of columns changed so that the current range is out of bounds.
+            if ((startBuffer < this._minBufferPx && renderedRange.start != 0) ||
+                (endBuffer < this._minBufferPx && renderedRange.end != columnCount) ||
+                renderedRange.end > columnCount) {
+                // Prevent NaN as result when dividing by zero.
+                var start = columnWidth > 0 ?
+                    Math.floor((scrollOffset - this._maxBufferPx) / columnWidth) : 0;
+                var end = columnWidth > 0 ?
+                    Math.ceil((scrollOffset + viewportWidth + this._maxBufferPx) / columnWidth) : 0;
+                var newRange = {
+                    start: Math.max(0, Math.min(start, columnCount)),
+                    end: Math.max(0, Math.min(end, columnCount)),
+                };
+                this._viewport.setRenderedColumnRange(newRange);
+                this._viewport.setRenderedColumnContentOffset(newRange.start * columnWidth);
+            }
+        };
+        return FixedSizeVirtualGridStrategy;
+    }());
+    /**
+     * Provider factory for `FixedSizeVirtualGridStrategy` that simply extracts the already created
+     * `FixedSizeVirtualGridStrategy` from the given directive.
+     * @param gridDir The instance of `CdkFixedSizeVirtualGrid` to extract the
+     *     `FixedSizeVirtualGridStrategy` from.
+     */
+    function _fixedSizeVirtualGridStrategyFactory(gridDir) {
+        return gridDir._scrollStrategy;
+    }
+    /** A virtual scroll strategy that supports grids with fixed-size rows and columns. */
+    var CdkFixedSizeVirtualGrid = /** @class */ (function () {
+        function CdkFixedSizeVirtualGrid() {
+            this._rowHeight = 20;
+            this._columnWidth = 100;
+            this._columnCount = 0;
+            this._minBufferPx = 100;
+            this._maxBufferPx = 200;
+            /** The scroll strategy used by this directive. */
+            this._scrollStrategy = new FixedSizeVirtualGridStrategy(this.rowHeight, this.columnWidth, this.columnCount, this.minBufferPx, this.maxBufferPx);
+        }
+        Object.defineProperty(CdkFixedSizeVirtualGrid.prototype, "rowHeight", {
+            /** The height of the rows in the grid (in pixels). */
+            get: function () { return this._rowHeight; },
+            set: function (value) { this._rowHeight = coercion.coerceNumberProperty(value); },
+            enumerable: false,
+            configurable: true
+        });
+        Object.defineProperty(CdkFixedSizeVirtualGrid.prototype, "columnWidth", {
+            /** The width of the columns in the grid (in pixels). */
+            get: function () { return this._columnWidth; },
+            set: function (value) { this._columnWidth = coercion.coerceNumberProperty(value); },
+            enumerable: false,
+            configurable: true
+        });
+        Object.defineProperty(CdkFixedSizeVirtualGrid.prototype, "columnCount", {
+            /** The total number of columns in the grid. */
+            get: function () { return this._columnCount; },
+            set: function (value) { this._columnCount = coercion.coerceNumberProperty(value); },
+            enumerable: false,
+            configurable: true
+        });
+        Object.defineProperty(CdkFixedSizeVirtualGrid.prototype, "minBufferPx", {
+            /**
+             * The minimum amount of buffer rendered beyond the viewport (in pixels).
+             * If the amount of buffer dips below this number, more cells will be rendered. Defaults to 100px.
+             */
+            get: function () { return this._minBufferPx; },
+            set: function (value) { this._minBufferPx = coercion.coerceNumberProperty(value); },
+            enumerable: false,
+            configurable: true
+        });
+        Object.defineProperty(CdkFixedSizeVirtualGrid.prototype, "maxBufferPx", {
+            /**
+             * The number of pixels worth of buffer to render for when rendering new cells. Defaults to 200px.
+             */
+            get: function () { return this._maxBufferPx; },
+            set: function (value) { this._maxBufferPx = coercion.coerceNumberProperty(value); },
+            enumerable: false,
+            configurable: true
+        });
+        CdkFixedSizeVirtualGrid.prototype.ngOnChanges = function () {
+            this._scrollStrategy.updateCellAndBufferSize(this.rowHeight, this.columnWidth, this.columnCount, this.minBufferPx, this.maxBufferPx);
+        };
+        return CdkFixedSizeVirtualGrid;
+    }());
+    CdkFixedSizeVirtualGrid.decorators = [
+        { type: i0.Directive, args: [{
+                    selector: 'cdk-virtual-scroll-viewport[rowHeight][columnWidth]',
+                    providers: [{
+                            provide: VIRTUAL_SCROLL_STRATEGY,
+                            useFactory: _fixedSizeVirtualGridStrategyFactory,
+                            deps: [i0.forwardRef(function () { return CdkFixedSizeVirtualGrid; })],
+                        }],
+                },] }
+    ];
+    CdkFixedSizeVirtualGrid.propDecorators = {
+        rowHeight: [{ type: i0.Input }],
+        columnWidth: [{ type: i0.Input }],
+        columnCount: [{ type: i0.Input }],
+        minBufferPx: [{ type: i0.Input }],
+        maxBufferPx: [{ type: i0.Input }]
+    };
+
     /**
      * @license
      * Copyright Google LLC All Rights Reserved.
@@ -1005,6 +1589,8 @@
             _this._detachedSubject = new rxjs.Subject();
             /** Emits when the rendered range changes. */
             _this._renderedRangeSubject = new rxjs.Subject();
+            /** Emits when the rendered range of columns changes. */
+            _this._renderedColumnRangeSubject = new rxjs.Subject();
             _this._orientation = 'vertical';
             // Note: we don't use the typical EventEmitter here because we need to subscribe to the scroll
             // strategy lazily (i.e. only if the user is actually listening to the events). We do this because
@@ -1014,20 +1600,39 @@
             _this.scrolledIndexChange = new rxjs.Observable(function (observer) { return _this._scrollStrategy.scrolledIndexChange.subscribe(function (index) { return Promise.resolve().then(function () { return _this.ngZone.run(function () { return observer.next(index); }); }); }); });
             /** A stream that emits whenever the rendered range changes. */
             _this.renderedRangeStream = _this._renderedRangeSubject;
+            /**
+             * A stream that emits whenever the rendered range of columns changes. Only emits if the
+             * columns are being virtualized by the scroll strategy (e.g. when rendering a grid).
+             */
+            _this.renderedColumnRangeStream = _this._renderedColumnRangeSubject;
             /**
              * The total size of all content (in pixels), including content that is not currently rendered.
              */
             _this._totalContentSize = 0;
+            /**
+             * The total size of all columns (in pixels), including columns that are not currently rendered.
+             * Only set if the columns are being virtualized.
+             */
+            _this._totalColumnContentSize = 0;
             /** A string representing the `style.width` property value to be used for the spacer element. */
             _this._totalContentWidth = '';
             /** A string representing the `style.height` property value to be used for the spacer element. */
             _this._totalContentHeight = '';
             /** The currently rendered range of indices. */
             _this._renderedRange = { start: 0, end: 0 };
+            /** The currently rendered range of column indices. */
+            _this._renderedColumnRange = { start: 0, end: 0 };
+            /**
+             * The CSS transform applied to the rendered subset of columns so that they appear within the
+             * horizontal bounds of the visible viewport.
+             */
+            _this._renderedColumnContentTransform = '';
             /** The length of the data bound to this viewport (in number of items). */
             _this._dataLength = 0;
             /** The size of the viewport (in pixels). */
             _this._viewportSize = 0;
+            /** The width of the viewport (in pixels). */
+            _this._viewportWidth = 0;
             /** The last rendered content offset that was set. */
             _this._renderedContentOffset = 0;
             /**
@@ -1042,7 +1647,8 @@
             /** Subscription to changes in the viewport size. */
             _this._viewportChanges = rxjs.Subscription.EMPTY;
             if (!_scrollStrategy && (typeof ngDevMode === 'undefined' || ngDevMode)) {
-                throw Error('Error: cdk-virtual-scroll-viewport requires the "itemSize" property to be set.');
+                throw Error('Error: cdk-virtual-scroll-viewport requires the "itemSize" or "autosize" ' +
+                    'property to be set.');
             }
             _this._viewportChanges = viewportRuler.change().subscribe(function () {
                 _this.checkViewportSize();
@@ -1090,6 +1696,7 @@
             this._scrollStrategy.detach();
             // Complete all subjects
             this._renderedRangeSubject.complete();
+            this._renderedColumnRangeSubject.complete();
             this._detachedSubject.complete();
             this._viewportChanges.unsubscribe();
             _super.prototype.ngOnDestroy.call(this);
@@ -1100,17 +1707,23 @@
             if (this._forOf && (typeof ngDevMode === 'undefined' || ngDevMode)) {
                 throw Error('CdkVirtualScrollViewport is already attached.');
             }
-            // Subscribe to the data stream of the CdkVirtualForOf to keep track of when the data length
-            // changes. Run outside the zone to avoid triggering change detection, since we're managing the
-            // change detection loop ourselves.
+            // Subscribe to the data stream of the CdkVirtualForOf to keep track of when the data and its
+            // length change. Run outside the zone to avoid triggering change detection, since we're
+            // managing the change detection loop ourselves.
             this.ngZone.runOutsideAngular(function () {
                 _this._forOf = forOf;
                 _this._forOf.dataStream.pipe(operators.takeUntil(_this._detachedSubject)).subscribe(function (data) {
                     var newLength = data.length;
-                    if (newLength !== _this._dataLength) {
-                        _this._dataLength = newLength;
+                    var lengthChanged = newLength !== _this._dataLength;
+                    _this._dataLength = newLength;
+                    if (_this._scrollStrategy.onDataChanged) {
+                        _this._scrollStrategy.onDataChanged();
+                    }
+                    if (lengthChanged) {
                         _this._scrollStrategy.onDataLengthChanged();
                     }
+                    // The new data may have changed the size of the rendered items.
+                    _this._runAfterChangeDetection.push(function () { return _this._scrollStrategy.onContentRendered(); });
                     _this._doChangeDetection();
                 });
             });
@@ -1128,6 +1741,10 @@
         CdkVirtualScrollViewport.prototype.getViewportSize = function () {
             return this._viewportSize;
         };
+        /** Gets the width of the viewport (in pixels), regardless of its orientation. */
+        CdkVirtualScrollViewport.prototype.getViewportWidth = function () {
+            return this._viewportWidth;
+        };
         // TODO(mmalerba): This is technically out of sync with what's really rendered until a render
         // cycle happens. I'm being careful to only call it after the render cycle is complete and before
         // setting it to something else, but its error prone and should probably be split into
@@ -1155,6 +1772,44 @@
                 this._markChangeDetectionNeeded(function () { return _this._scrollStrategy.onContentRendered(); });
             }
         };
+        /** Get the current rendered range of columns. */
+        CdkVirtualScrollViewport.prototype.getRenderedColumnRange = function () {
+            return this._renderedColumnRange;
+        };
+        /** Sets the currently rendered range of column indices. */
+        CdkVirtualScrollViewport.prototype.setRenderedColumnRange = function (range) {
+            var _this = this;
+            if (!rangesEqual(this._renderedColumnRange, range)) {
+                this._renderedColumnRangeSubject.next(this._renderedColumnRange = range);
+                this._markChangeDetectionNeeded(function () { return _this._scrollStrategy.onContentRendered(); });
+            }
+        };
+        /**
+         * Sets the total size of all columns (in pixels), including columns that are not currently
+         * rendered.
+         */
+        CdkVirtualScrollViewport.prototype.setTotalColumnContentSize = function (size) {
+            if (this._totalColumnContentSize !== size) {
+                this._totalColumnContentSize = size;
+                this._calculateSpacerSize();
+                this._markChangeDetectionNeeded();
+            }
+        };
+        /**
+         * Sets the offset from the start of the viewport to the start of the rendered columns
+         * (in pixels).
+         */
+        CdkVirtualScrollViewport.prototype.setRenderedColumnContentOffset = function (offset) {
+            // In a right-to-left language we need to translate along the x-axis in the negative direction.
+            var axisDirection = this.dir && this.dir.value == 'rtl' ? -1 : 1;
+            var transform = "translateX(" + Number(axisDirection * offset) + "px)";
+            if (this._renderedColumnContentTransform != transform) {
+                // We know this value is safe because we parse `offset` with `Number()` before passing it
+                // into the string.
+                this._renderedColumnContentTransform = transform;
+                this._markChangeDetectionNeeded();
+            }
+        };
         /**
          * Gets the offset from the start of the viewport to the start of the rendered data (in pixels).
          */
@@ -1226,6 +1881,24 @@
             if (behavior === void 0) { behavior = 'auto'; }
             this._scrollStrategy.scrollToIndex(index, behavior);
         };
+        /**
+         * Scrolls to the offset for the given cell. Requires a scroll strategy that virtualizes both
+         * the rows and the columns, like the one provided by `CdkFixedSizeVirtualGrid`.
+         * @param row The index of the row to scroll to.
+         * @param column The index of the column to scroll to.
+         * @param behavior The ScrollBehavior to use when scrolling. Default is behavior is `auto`.
+         */
+        CdkVirtualScrollViewport.prototype.scrollToCell = function (row, column, behavior) {
+            if (behavior === void 0) { behavior = 'auto'; }
+            var strategy = this._scrollStrategy;
+            if (strategy.scrollToCell) {
+                strategy.scrollToCell(row, column, behavior);
+            }
+            else if (typeof ngDevMode === 'undefined' || ngDevMode) {
+                throw Error('CdkVirtualScrollViewport: scrollToCell requires a scroll strategy that ' +
+                    'virtualizes both rows and columns.');
+            }
+        };
         /**
          * Gets the current scroll offset from the start of the viewport (in pixels).
          * @param from The edge to measure the offset from. Defaults to 'top' in vertical mode and 'start'
@@ -1251,6 +1924,13 @@
             }
             return this._forOf.measureRangeSize(range, this.orientation);
         };
+        /**
+         * Gets a value that identifies the item at the given index in the data. Falls back to the index
+         * itself if the attached `CdkVirtualScrollRepeater` can't identify its items.
+         */
+        CdkVirtualScrollViewport.prototype.getItemKey = function (index) {
+            return this._forOf && this._forOf.getItemKey ? this._forOf.getItemKey(index) : index;
+        };
         /** Update the viewport dimensions and re-render. */
         CdkVirtualScrollViewport.prototype.checkViewportSize = function () {
             // TODO: Cleanup later when add logic for handling content resize
@@ -1260,8 +1940,9 @@
         /** Measure the viewport size. */
         CdkVirtualScrollViewport.prototype._measureViewportSize = function () {
             var viewportEl = this.elementRef.nativeElement;
+            this._viewportWidth = viewportEl.clientWidth;
             this._viewportSize = this.orientation === 'horizontal' ?
-                viewportEl.clientWidth : viewportEl.clientHeight;
+                this._viewportWidth : viewportEl.clientHeight;
         };
         /** Queue up change detection to run. */
         CdkVirtualScrollViewport.prototype._markChangeDetectionNeeded = function (runAfter) {
@@ -1287,7 +1968,9 @@
             // bypassSecurityTrustStyle is banned in Google. However the value is safe, it's composed of
             // string literals, a variable that can only be 'X' or 'Y', and user input that is run through
             // the `Number` function first to coerce it to a numeric value.
-            this._contentWrapper.nativeElement.style.transform = this._renderedContentTransform;
+            this._contentWrapper.nativeElement.style.transform = this._renderedColumnContentTransform ?
+                (this._renderedContentTransform || '') + " " + this._renderedColumnContentTransform :
+                this._renderedContentTransform;
             // Apply changes to Angular bindings. Note: We must call `markForCheck` to run change detection
             // from the root, since the repeated items are content projected in. Calling `detectChanges`
             // instead does not properly check the projected content.
@@ -1312,8 +1995,13 @@
         CdkVirtualScrollViewport.prototype._calculateSpacerSize = function () {
             this._totalContentHeight =
                 this.orientation === 'horizontal' ? '' : this._totalContentSize + "px";
-            this._totalContentWidth =
-                this.orientation === 'horizontal' ? this._totalContentSize + "px" : '';
+            if (this.orientation === 'horizontal') {
+                this._totalContentWidth = this._totalContentSize + "px";
+            }
+            else {
+                this._totalContentWidth =
+                    this._totalColumnContentSize ? this._totalColumnContentSize + "px" : '';
+            }
         };
         return CdkVirtualScrollViewport;
     }(CdkScrollable));
@@ -1413,12 +2101,12 @@
                 _this._data = data;
                 _this._onRenderedDataChange();
             });
-            this._viewport.renderedRangeStream.pipe(operators.takeUntil(this._destroyed)).subscribe(function (range) {
+            this._getRenderedRangeStream().pipe(operators.takeUntil(this._destroyed)).subscribe(function (range) {
                 _this._renderedRange = range;
                 ngZone.run(function () { return _this.viewChange.next(_this._renderedRange); });
                 _this._onRenderedDataChange();
             });
-            this._viewport.attach(this);
+            this._attachToViewport();
         }
         Object.defineProperty(CdkVirtualForOf.prototype, "cdkVirtualForOf", {
             /** The DataSource to display. */
@@ -1521,6 +2209,18 @@
             return firstNode && lastNode ?
                 getOffset(orientation, 'end', lastNode) - getOffset(orientation, 'start', firstNode) : 0;
         };
+        /**
+         * Gets the identity of the item at the specified index in the data, as determined by the
+         * `cdkVirtualForTrackBy` function. If no `trackBy` function is set, the item itself is returned.
+         */
+        CdkVirtualForOf.prototype.getItemKey = function (index) {
+            var item = this._data ? this._data[index] : undefined;
+            var trackBy = this._cdkVirtualForTrackBy;
+            // Note that the `trackBy` function that we've stored adds the start of the rendered
+            // range to the index, because it expects indexes relative to the rendered items.
+            return trackBy ?
+                trackBy(index - (this._renderedRange ? this._renderedRange.start : 0), item) : item;
+        };
         CdkVirtualForOf.prototype.ngDoCheck = function () {
             if (this._differ && this._needsUpdate) {
                 // TODO(mmalerba): We should differentiate needs update due to scrolling and a new portion of
@@ -1537,7 +2237,7 @@
             }
         };
         CdkVirtualForOf.prototype.ngOnDestroy = function () {
-            this._viewport.detach();
+            this._detachFromViewport();
             this._dataSourceChanges.next(undefined);
             this._dataSourceChanges.complete();
             this.viewChange.complete();
@@ -1545,6 +2245,18 @@
             this._destroyed.complete();
             this._viewRepeater.detach();
         };
+        /** Gets the stream of ranges that should be rendered by this repeater. */
+        CdkVirtualForOf.prototype._getRenderedRangeStream = function () {
+            return this._viewport.renderedRangeStream;
+        };
+        /** Attaches the repeater to the viewport as the source of its data. */
+        CdkVirtualForOf.prototype._attachToViewport = function () {
+            this._viewport.attach(this);
+        };
+        /** Detaches the repeater from the viewport. */
+        CdkVirtualForOf.prototype._detachFromViewport = function () {
+            this._viewport.detach();
+        };
         /** React to scroll state changes in the viewport. */
         CdkVirtualForOf.prototype._onRenderedDataChange = function () {
             var _this = this;
@@ -1654,6 +2366,94 @@
         cdkVirtualForTemplateCacheSize: [{ type: i0.Input }]
     };
 
+    /**
+     * A directive similar to `cdkVirtualFor` that renders the columns of a row inside a virtual
+     * scrolling grid. Only the columns within the rendered column range of the viewport are stamped
+     * out. Requires a scroll strategy that virtualizes columns, like `CdkFixedSizeVirtualGrid`.
+     */
+    var CdkVirtualColumnForOf = /** @class */ (function (_super) {
+        __extends(CdkVirtualColumnForOf, _super);
+        function CdkVirtualColumnForOf() {
+            return _super !== null && _super.apply(this, arguments) || this;
+        }
+        Object.defineProperty(CdkVirtualColumnForOf.prototype, "cdkVirtualColumnForOf", {
+            /** The DataSource to display in the columns. */
+            get: function () {
+                return this.cdkVirtualForOf;
+            },
+            set: function (value) {
+                this.cdkVirtualForOf = value;
+            },
+            enumerable: false,
+            configurable: true
+        });
+        Object.defineProperty(CdkVirtualColumnForOf.prototype, "cdkVirtualColumnForTrackBy", {
+            /**
+             * The `TrackByFunction` to use for tracking changes. The `TrackByFunction` takes the index and
+             * the item and produces a value to be used as the item's identity when tracking changes.
+             */
+            get: function () {
+                return this.cdkVirtualForTrackBy;
+            },
+            set: function (fn) {
+                this.cdkVirtualForTrackBy = fn;
+            },
+            enumerable: false,
+            configurable: true
+        });
+        Object.defineProperty(CdkVirtualColumnForOf.prototype, "cdkVirtualColumnForTemplate", {
+            /** The template used to stamp out new elements. */
+            set: function (value) {
+                this.cdkVirtualForTemplate = value;
+            },
+            enumerable: false,
+            configurable: true
+        });
+        Object.defineProperty(CdkVirtualColumnForOf.prototype, "cdkVirtualColumnForTemplateCacheSize", {
+            /**
+             * The size of the cache used to store templates that are not being used for re-use later.
+             * Setting the cache size to `0` will disable caching. Defaults to 20 templates.
+             */
+            get: function () {
+                return this.cdkVirtualForTemplateCacheSize;
+            },
+            set: function (size) {
+                this.cdkVirtualForTemplateCacheSize = size;
+            },
+            enumerable: false,
+            configurable: true
+        });
+        /** Gets the stream of column ranges that should be rendered by this repeater. */
+        CdkVirtualColumnForOf.prototype._getRenderedRangeStream = function () {
+            // Column repeaters are created lazily inside of the rendered rows so they need to
+            // start off with the range that is currently being rendered.
+            return this._viewport.renderedColumnRangeStream
+                .pipe(operators.startWith(this._viewport.getRenderedColumnRange()));
+        };
+        /**
+         * Column repeaters don't attach to the viewport, because the number of rows is determined by
+         * the row repeater.
+         */
+        CdkVirtualColumnForOf.prototype._attachToViewport = function () { };
+        /** Column repeaters don't attach to the viewport so there is nothing to detach. */
+        CdkVirtualColumnForOf.prototype._detachFromViewport = function () { };
+        return CdkVirtualColumnForOf;
+    }(CdkVirtualForOf));
+    CdkVirtualColumnForOf.decorators = [
+        { type: i0.Directive, args: [{
+                    selector: '[cdkVirtualColumnFor][cdkVirtualColumnForOf]',
+                    providers: [
+                        { provide: collections._VIEW_REPEATER_STRATEGY, useClass: collections._RecycleViewRepeaterStrategy },
+                    ]
+                },] }
+    ];
+    CdkVirtualColumnForOf.propDecorators = {
+        cdkVirtualColumnForOf: [{ type: i0.Input }],
+        cdkVirtualColumnForTrackBy: [{ type: i0.Input }],
+        cdkVirtualColumnForTemplate: [{ type: i0.Input }],
+        cdkVirtualColumnForTemplateCacheSize: [{ type: i0.Input }]
+    };
+
     /**
      * @license
      * Copyright Google LLC All Rights Reserved.
@@ -1690,12 +2490,18 @@
                     exports: [
                         bidi.BidiModule,
                         CdkScrollableModule,
+                        CdkAutoSizeVirtualScroll,
+                        CdkFixedSizeVirtualGrid,
                         CdkFixedSizeVirtualScroll,
+                        CdkVirtualColumnForOf,
                         CdkVirtualForOf,
                         CdkVirtualScrollViewport,
                     ],
                     declarations: [
+                        CdkAutoSizeVirtualScroll,
+                        CdkFixedSizeVirtualGrid,
                         CdkFixedSizeVirtualScroll,
+                        CdkVirtualColumnForOf,
                         CdkVirtualForOf,
                         CdkVirtualScrollViewport,
                     ],
@@ -1714,18 +2520,25 @@
      * Generated bundle index. Do not edit.
      */
 
+    exports.AutoSizeVirtualScrollStrategy = AutoSizeVirtualScrollStrategy;
+    exports.CdkAutoSizeVirtualScroll = CdkAutoSizeVirtualScroll;
+    exports.CdkFixedSizeVirtualGrid = CdkFixedSizeVirtualGrid;
     exports.CdkFixedSizeVirtualScroll = CdkFixedSizeVirtualScroll;
     exports.CdkScrollable = CdkScrollable;
     exports.CdkScrollableModule = CdkScrollableModule;
+    exports.CdkVirtualColumnForOf = CdkVirtualColumnForOf;
     exports.CdkVirtualForOf = CdkVirtualForOf;
     exports.CdkVirtualScrollViewport = CdkVirtualScrollViewport;
     exports.DEFAULT_RESIZE_TIME = DEFAULT_RESIZE_TIME;
     exports.DEFAULT_SCROLL_TIME = DEFAULT_SCROLL_TIME;
+    exports.FixedSizeVirtualGridStrategy = FixedSizeVirtualGridStrategy;
     exports.FixedSizeVirtualScrollStrategy = FixedSizeVirtualScrollStrategy;
     exports.ScrollDispatcher = ScrollDispatcher;
     exports.ScrollingModule = ScrollingModule;
     exports.VIRTUAL_SCROLL_STRATEGY = VIRTUAL_SCROLL_STRATEGY;
     exports.ViewportRuler = ViewportRuler;
+    exports._autoSizeVirtualScrollStrategyFactory = _autoSizeVirtualScrollStrategyFactory;
+    exports._fixedSizeVirtualGridStrategyFactory = _fixedSizeVirtualGridStrategyFactory;
     exports._fixedSizeVirtualScrollStrategyFactory = _fixedSizeVirtualScrollStrategyFactory;
 
     Object.defineProperty(exports, '__esModule', { value: true });
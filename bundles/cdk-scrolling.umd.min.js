@@ -1,18 +1,18 @@
-!function(t,e){"object"==typeof exports&&"undefined"!=typeof module?e(exports,require("@angular/cdk/coercion"),require("@angular/core"),require("rxjs"),require("rxjs/operators"),require("@angular/cdk/platform"),require("@angular/common"),require("@angular/cdk/bidi"),require("@angular/cdk/collections")):"function"==typeof define&&define.amd?define("@angular/cdk/scrolling",["exports","@angular/cdk/coercion","@angular/core","rxjs","rxjs/operators","@angular/cdk/platform","@angular/common","@angular/cdk/bidi","@angular/cdk/collections"],e):e(((t=t||self).ng=t.ng||{},t.ng.cdk=t.ng.cdk||{},t.ng.cdk.scrolling={}),t.ng.cdk.coercion,t.ng.core,t.rxjs,t.rxjs.operators,t.ng.cdk.platform,t.ng.common,t.ng.cdk.bidi,t.ng.cdk.collections)}(this,(function(t,e,r,n,o,i,a,s,l){"use strict";
+!function(t,e){"object"==typeof exports&&"undefined"!=typeof module?e(exports,require("@angular/cdk/coercion"),require("@angular/core"),require("rxjs"),require("rxjs/operators"),require("@angular/cdk/platform"),require("@angular/common"),require("@angular/cdk/bidi"),require("@angular/cdk/collections")):"function"==typeof define&&define.amd?define("@angular/cdk/scrolling",["exports","@angular/cdk/coercion","@angular/core","rxjs","rxjs/operators","@angular/cdk/platform","@angular/common","@angular/cdk/bidi","@angular/cdk/collections"],e):e(((t=t||self).ng=t.ng||{},t.ng.cdk=t.ng.cdk||{},t.ng.cdk.scrolling={}),t.ng.cdk.coercion,t.ng.core,t.rxjs,t.rxjs.operators,t.ng.cdk.platform,t.ng.common,t.ng.cdk.bidi,t.ng.cdk.collections)}(this,(function(t,e,r,n,i,o,a,s,l){"use strict";
 /**
      * @license
      * Copyright Google LLC All Rights Reserved.
      *
      * Use of this source code is governed by an MIT-style license that can be
      * found in the LICENSE file at https://angular.io/license
-     */var c=new r.InjectionToken("VIRTUAL_SCROLL_STRATEGY"),d=function(){function t(t,e,r){this._scrolledIndexChange=new n.Subject,this.scrolledIndexChange=this._scrolledIndexChange.pipe(o.distinctUntilChanged()),this._viewport=null,this._itemSize=t,this._minBufferPx=e,this._maxBufferPx=r}return t.prototype.attach=function(t){this._viewport=t,this._updateTotalContentSize(),this._updateRenderedRange()},t.prototype.detach=function(){this._scrolledIndexChange.complete(),this._viewport=null},t.prototype.updateItemAndBufferSize=function(t,e,r){this._itemSize=t,this._minBufferPx=e,this._maxBufferPx=r,this._updateTotalContentSize(),this._updateRenderedRange()},t.prototype.onContentScrolled=function(){this._updateRenderedRange()},t.prototype.onDataLengthChanged=function(){this._updateTotalContentSize(),this._updateRenderedRange()},t.prototype.onContentRendered=function(){},t.prototype.onRenderedOffsetChanged=function(){},t.prototype.scrollToIndex=function(t,e){this._viewport&&this._viewport.scrollToOffset(t*this._itemSize,e)},t.prototype._updateTotalContentSize=function(){this._viewport&&this._viewport.setTotalContentSize(this._viewport.getDataLength()*this._itemSize)},t.prototype._updateRenderedRange=function(){if(this._viewport){var t=this._viewport.getRenderedRange(),e={start:t.start,end:t.end},r=this._viewport.getViewportSize(),n=this._viewport.getDataLength(),o=this._viewport.measureScrollOffset(),i=this._itemSize>0?o/this._itemSize:0;if(e.end>n){var a=Math.ceil(r/this._itemSize),s=Math.max(0,Math.min(i,n-a));i!=s&&(i=s,o=s*this._itemSize,e.start=Math.floor(i)),e.end=Math.max(0,Math.min(n,e.start+a))}var l=o-e.start*this._itemSize;if(l<this._minBufferPx&&0!=e.start){var c=Math.ceil((this._maxBufferPx-l)/this._itemSize);e.start=Math.max(0,e.start-c),e.end=Math.min(n,Math.ceil(i+(r+this._minBufferPx)/this._itemSize))}else{var d=e.end*this._itemSize-(o+r);if(d<this._minBufferPx&&e.end!=n){var u=Math.ceil((this._maxBufferPx-d)/this._itemSize);u>0&&(e.end=Math.min(n,e.end+u),e.start=Math.max(0,Math.floor(i-this._minBufferPx/this._itemSize)))}}this._viewport.setRenderedRange(e),this._viewport.setRenderedContentOffset(this._itemSize*e.start),this._scrolledIndexChange.next(Math.floor(i))}},t}();
+     */var c=new r.InjectionToken("VIRTUAL_SCROLL_STRATEGY"),u=function(){function t(t,e,r){this._scrolledIndexChange=new n.Subject,this.scrolledIndexChange=this._scrolledIndexChange.pipe(i.distinctUntilChanged()),this._viewport=null,this._itemKeys=[],this._itemSizes=[],this._measuredSizeSums=[0],this._measuredCounts=[0],this._itemSizeEstimate=t,this._minBufferPx=e,this._maxBufferPx=r}return t.prototype.attach=function(t){this._viewport=t,this._syncItemKeys(),this._updateTotalContentSize(),this._updateRenderedRange()},t.prototype.detach=function(){this._scrolledIndexChange.complete(),this._viewport=null},t.prototype.updateItemSizeEstimateAndBufferSize=function(t,e,r){this._itemSizeEstimate=t,this._minBufferPx=e,this._maxBufferPx=r,this._updateTotalContentSize(),this._updateRenderedRange()},t.prototype.resetMeasurements=function(){this._itemSizes=this._itemKeys.map((function(){})),this._updateMeasuredSums(0),this._updateTotalContentSize(),this._updateRenderedRange()},t.prototype.onContentScrolled=function(){this._updateRenderedRange()},t.prototype.onDataLengthChanged=function(){this._viewport&&this._viewport.getDataLength()!==this._itemKeys.length&&this._syncItemKeys(),this._updateTotalContentSize(),this._updateRenderedRange()},t.prototype.onDataChanged=function(){this._syncItemKeys(),this._updateTotalContentSize(),this._updateRenderedRange()},t.prototype.onContentRendered=function(){var t=this._viewport;if(t){var e=this._measureRenderedItems();if(-1!==e){var r=t.measureScrollOffset(),n=this._getIndexAtOffset(r),i=r-this._getOffset(n);this._updateMeasuredSums(e),this._updateTotalContentSize(),t.setRenderedContentOffset(this._getOffset(t.getRenderedRange().start));var o=this._getOffset(n)+i;o!==r&&t.scrollToOffset(o),this._updateRenderedRange()}}},t.prototype.onRenderedOffsetChanged=function(){},t.prototype.scrollToIndex=function(t,e){this._viewport&&this._viewport.scrollToOffset(this._getOffset(t),e)},t.prototype._getEstimatedItemSize=function(){var t=this._measuredCounts.length-1,e=this._measuredCounts[t];return e?this._measuredSizeSums[t]/e:this._itemSizeEstimate},t.prototype._getOffset=function(t){return t=Math.max(0,Math.min(t,this._measuredCounts.length-1)),this._measuredSizeSums[t]+(t-this._measuredCounts[t])*this._getEstimatedItemSize()},t.prototype._getIndexAtOffset=function(t){for(var e=0,r=Math.max(0,this._measuredCounts.length-2);e<r;){var n=Math.ceil((e+r)/2);this._getOffset(n)<=t?e=n:r=n-1}return e},t.prototype._measureRenderedItems=function(){for(var t=this._viewport,e=t.getRenderedRange(),r=Math.min(e.end,this._itemSizes.length),n=-1,i=e.start;i<r;i++){var o=t.measureRangeSize({start:i,end:i+1});this._itemSizes[i]!==o&&(this._itemSizes[i]=o,-1===n&&(n=i))}return n},t.prototype._syncItemKeys=function(){for(var t=this._viewport,e=t.getDataLength(),r=this._itemKeys,n=this._itemSizes,i=[],o=[],a=null,s=-1,l=0;l<e;l++){var c=t.getItemKey(l);if(i.push(c),!a&&r[l]===c&&l<r.length)o.push(n[l]);else{if(!a){s=l,a=new Map;for(var u=r.length-1;u>=l;u--){var d=a.get(r[u]);d?d.push(n[u]):a.set(r[u],[n[u]])}}var h=a.get(c);o.push(h&&h.length?h.pop():void 0)}}this._itemKeys=i,this._itemSizes=o,this._updateMeasuredSums(-1===s?e:s)},t.prototype._updateMeasuredSums=function(t){var e=this._itemSizes,r=this._measuredSizeSums,n=this._measuredCounts;r.length=n.length=e.length+1;for(var i=t;i<e.length;i++){var o=e[i];r[i+1]=r[i]+(void 0===o?0:o),n[i+1]=n[i]+(void 0===o?0:1)}},t.prototype._updateTotalContentSize=function(){this._viewport&&this._viewport.setTotalContentSize(this._getOffset(this._itemSizes.length))},t.prototype._updateRenderedRange=function(){if(this._viewport){var t=this._viewport,e=t.getRenderedRange(),r=t.getViewportSize(),n=t.getDataLength(),i=t.measureScrollOffset(),o=this._getIndexAtOffset(i),a=i-this._getOffset(e.start),s=this._getOffset(e.end)-(i+r),l={start:e.start,end:e.end};(a<this._minBufferPx&&0!=e.start||s<this._minBufferPx&&e.end!=n||e.end>n)&&(l={start:this._getIndexAtOffset(Math.max(0,i-this._maxBufferPx)),end:Math.min(n,this._getIndexAtOffset(i+r+this._maxBufferPx)+1)}),t.setRenderedRange(l),t.setRenderedContentOffset(this._getOffset(l.start)),this._scrolledIndexChange.next(o)}},t}();
 /**
      * @license
      * Copyright Google LLC All Rights Reserved.
      *
      * Use of this source code is governed by an MIT-style license that can be
      * found in the LICENSE file at https://angular.io/license
-     */function u(t){return t._scrollStrategy}var h=function(){function t(){this._itemSize=20,this._minBufferPx=100,this._maxBufferPx=200,this._scrollStrategy=new d(this.itemSize,this.minBufferPx,this.maxBufferPx)}return Object.defineProperty(t.prototype,"itemSize",{get:function(){return this._itemSize},set:function(t){this._itemSize=e.coerceNumberProperty(t)},enumerable:!1,configurable:!0}),Object.defineProperty(t.prototype,"minBufferPx",{get:function(){return this._minBufferPx},set:function(t){this._minBufferPx=e.coerceNumberProperty(t)},enumerable:!1,configurable:!0}),Object.defineProperty(t.prototype,"maxBufferPx",{get:function(){return this._maxBufferPx},set:function(t){this._maxBufferPx=e.coerceNumberProperty(t)},enumerable:!1,configurable:!0}),t.prototype.ngOnChanges=function(){this._scrollStrategy.updateItemAndBufferSize(this.itemSize,this.minBufferPx,this.maxBufferPx)},t}();h.decorators=[{type:r.Directive,args:[{selector:"cdk-virtual-scroll-viewport[itemSize]",providers:[{provide:c,useFactory:u,deps:[r.forwardRef((function(){return h}))]}]}]}],h.propDecorators={itemSize:[{type:r.Input}],minBufferPx:[{type:r.Input}],maxBufferPx:[{type:r.Input}]};
+     */function d(t){return t._scrollStrategy}var h=function(){function t(){this._itemSizeEstimate=50,this._minBufferPx=100,this._maxBufferPx=200,this._scrollStrategy=new u(this.itemSizeEstimate,this.minBufferPx,this.maxBufferPx)}return Object.defineProperty(t.prototype,"itemSizeEstimate",{get:function(){return this._itemSizeEstimate},set:function(t){this._itemSizeEstimate=e.coerceNumberProperty(t)},enumerable:!1,configurable:!0}),Object.defineProperty(t.prototype,"minBufferPx",{get:function(){return this._minBufferPx},set:function(t){this._minBufferPx=e.coerceNumberProperty(t)},enumerable:!1,configurable:!0}),Object.defineProperty(t.prototype,"maxBufferPx",{get:function(){return this._maxBufferPx},set:function(t){this._maxBufferPx=e.coerceNumberProperty(t)},enumerable:!1,configurable:!0}),t.prototype.ngOnChanges=function(){this._scrollStrategy.updateItemSizeEstimateAndBufferSize(this.itemSizeEstimate,this.minBufferPx,this.maxBufferPx)},t}();h.decorators=[{type:r.Directive,args:[{selector:"cdk-virtual-scroll-viewport[autosize]",providers:[{provide:c,useFactory:d,deps:[r.forwardRef((function(){return h}))]}]}]}],h.propDecorators={itemSizeEstimate:[{type:r.Input}],minBufferPx:[{type:r.Input}],maxBufferPx:[{type:r.Input}]};
 /**
      * @license
      * Copyright Google LLC All Rights Reserved.
@@ -20,7 +20,7 @@
      * Use of this source code is governed by an MIT-style license that can be
      * found in the LICENSE file at https://angular.io/license
      */
-var p=function(){function t(t,e,r){this._ngZone=t,this._platform=e,this._scrolled=new n.Subject,this._globalSubscription=null,this._scrolledCount=0,this.scrollContainers=new Map,this._document=r}return t.prototype.register=function(t){var e=this;this.scrollContainers.has(t)||this.scrollContainers.set(t,t.elementScrolled().subscribe((function(){return e._scrolled.next(t)})))},t.prototype.deregister=function(t){var e=this.scrollContainers.get(t);e&&(e.unsubscribe(),this.scrollContainers.delete(t))},t.prototype.scrolled=function(t){var e=this;return void 0===t&&(t=20),this._platform.isBrowser?new n.Observable((function(r){e._globalSubscription||e._addGlobalListener();var n=t>0?e._scrolled.pipe(o.auditTime(t)).subscribe(r):e._scrolled.subscribe(r);return e._scrolledCount++,function(){n.unsubscribe(),e._scrolledCount--,e._scrolledCount||e._removeGlobalListener()}})):n.of()},t.prototype.ngOnDestroy=function(){var t=this;this._removeGlobalListener(),this.scrollContainers.forEach((function(e,r){return t.deregister(r)})),this._scrolled.complete()},t.prototype.ancestorScrolled=function(t,e){var r=this.getAncestorScrollContainers(t);return this.scrolled(e).pipe(o.filter((function(t){return!t||r.indexOf(t)>-1})))},t.prototype.getAncestorScrollContainers=function(t){var e=this,r=[];return this.scrollContainers.forEach((function(n,o){e._scrollableContainsElement(o,t)&&r.push(o)})),r},t.prototype._getWindow=function(){return this._document.defaultView||window},t.prototype._scrollableContainsElement=function(t,r){var n=e.coerceElement(r),o=t.getElementRef().nativeElement;do{if(n==o)return!0}while(n=n.parentElement);return!1},t.prototype._addGlobalListener=function(){var t=this;this._globalSubscription=this._ngZone.runOutsideAngular((function(){var e=t._getWindow();return n.fromEvent(e.document,"scroll").subscribe((function(){return t._scrolled.next()}))}))},t.prototype._removeGlobalListener=function(){this._globalSubscription&&(this._globalSubscription.unsubscribe(),this._globalSubscription=null)},t}();p.ɵprov=r.ɵɵdefineInjectable({factory:function t(){return new p(r.ɵɵinject(r.NgZone),r.ɵɵinject(i.Platform),r.ɵɵinject(a.DOCUMENT,8))},token:p,providedIn:"root"}),p.decorators=[{type:r.Injectable,args:[{providedIn:"root"}]}],p.ctorParameters=function(){return[{type:r.NgZone},{type:i.Platform},{type:void 0,decorators:[{type:r.Optional},{type:r.Inject,args:[a.DOCUMENT]}]}]};
+var p=function(){function t(t,e,r){this._scrolledIndexChange=new n.Subject,this.scrolledIndexChange=this._scrolledIndexChange.pipe(i.distinctUntilChanged()),this._viewport=null,this._itemSize=t,this._minBufferPx=e,this._maxBufferPx=r}return t.prototype.attach=function(t){this._viewport=t,this._updateTotalContentSize(),this._updateRenderedRange()},t.prototype.detach=function(){this._scrolledIndexChange.complete(),this._viewport=null},t.prototype.updateItemAndBufferSize=function(t,e,r){this._itemSize=t,this._minBufferPx=e,this._maxBufferPx=r,this._updateTotalContentSize(),this._updateRenderedRange()},t.prototype.onContentScrolled=function(){this._updateRenderedRange()},t.prototype.onDataLengthChanged=function(){this._updateTotalContentSize(),this._updateRenderedRange()},t.prototype.onContentRendered=function(){},t.prototype.onRenderedOffsetChanged=function(){},t.prototype.scrollToIndex=function(t,e){this._viewport&&this._viewport.scrollToOffset(t*this._itemSize,e)},t.prototype._updateTotalContentSize=function(){this._viewport&&this._viewport.setTotalContentSize(this._viewport.getDataLength()*this._itemSize)},t.prototype._updateRenderedRange=function(){if(this._viewport){var t=this._viewport.getRenderedRange(),e={start:t.start,end:t.end},r=this._viewport.getViewportSize(),n=this._viewport.getDataLength(),i=this._viewport.measureScrollOffset(),o=this._itemSize>0?i/this._itemSize:0;if(e.end>n){var a=Math.ceil(r/this._itemSize),s=Math.max(0,Math.min(o,n-a));o!=s&&(o=s,i=s*this._itemSize,e.start=Math.floor(o)),e.end=Math.max(0,Math.min(n,e.start+a))}var l=i-e.start*this._itemSize;if(l<this._minBufferPx&&0!=e.start){var c=Math.ceil((this._maxBufferPx-l)/this._itemSize);e.start=Math.max(0,e.start-c),e.end=Math.min(n,Math.ceil(o+(r+this._minBufferPx)/this._itemSize))}else{var u=e.end*this._itemSize-(i+r);if(u<this._minBufferPx&&e.end!=n){var d=Math.ceil((this._maxBufferPx-u)/this._itemSize);d>0&&(e.end=Math.min(n,e.end+d),e.start=Math.max(0,Math.floor(o-this._minBufferPx/this._itemSize)))}}this._viewport.setRenderedRange(e),this._viewport.setRenderedContentOffset(this._itemSize*e.start),this._scrolledIndexChange.next(Math.floor(o))}},t}();function f(t){return t._scrollStrategy}var _=function(){function t(){this._itemSize=20,this._minBufferPx=100,this._maxBufferPx=200,this._scrollStrategy=new p(this.itemSize,this.minBufferPx,this.maxBufferPx)}return Object.defineProperty(t.prototype,"itemSize",{get:function(){return this._itemSize},set:function(t){this._itemSize=e.coerceNumberProperty(t)},enumerable:!1,configurable:!0}),Object.defineProperty(t.prototype,"minBufferPx",{get:function(){return this._minBufferPx},set:function(t){this._minBufferPx=e.coerceNumberProperty(t)},enumerable:!1,configurable:!0}),Object.defineProperty(t.prototype,"maxBufferPx",{get:function(){return this._maxBufferPx},set:function(t){this._maxBufferPx=e.coerceNumberProperty(t)},enumerable:!1,configurable:!0}),t.prototype.ngOnChanges=function(){this._scrollStrategy.updateItemAndBufferSize(this.itemSize,this.minBufferPx,this.maxBufferPx)},t}();_.decorators=[{type:r.Directive,args:[{selector:"cdk-virtual-scroll-viewport[itemSize]",providers:[{provide:c,useFactory:f,deps:[r.forwardRef((function(){return _}))]}]}]}],_.propDecorators={itemSize:[{type:r.Input}],minBufferPx:[{type:r.Input}],maxBufferPx:[{type:r.Input}]};
 /**
      * @license
      * Copyright Google LLC All Rights Reserved.
@@ -28,7 +28,23 @@ var p=function(){function t(t,e,r){this._ngZone=t,this._platform=e,this._scrolle
      * Use of this source code is governed by an MIT-style license that can be
      * found in the LICENSE file at https://angular.io/license
      */
-var f=function(){function t(t,e,r,i){var a=this;this.elementRef=t,this.scrollDispatcher=e,this.ngZone=r,this.dir=i,this._destroyed=new n.Subject,this._elementScrolled=new n.Observable((function(t){return a.ngZone.runOutsideAngular((function(){return n.fromEvent(a.elementRef.nativeElement,"scroll").pipe(o.takeUntil(a._destroyed)).subscribe(t)}))}))}return t.prototype.ngOnInit=function(){this.scrollDispatcher.register(this)},t.prototype.ngOnDestroy=function(){this.scrollDispatcher.deregister(this),this._destroyed.next(),this._destroyed.complete()},t.prototype.elementScrolled=function(){return this._elementScrolled},t.prototype.getElementRef=function(){return this.elementRef},t.prototype.scrollTo=function(t){var e=this.elementRef.nativeElement,r=this.dir&&"rtl"==this.dir.value;null==t.left&&(t.left=r?t.end:t.start),null==t.right&&(t.right=r?t.start:t.end),null!=t.bottom&&(t.top=e.scrollHeight-e.clientHeight-t.bottom),r&&0!=i.getRtlScrollAxisType()?(null!=t.left&&(t.right=e.scrollWidth-e.clientWidth-t.left),2==i.getRtlScrollAxisType()?t.left=t.right:1==i.getRtlScrollAxisType()&&(t.left=t.right?-t.right:t.right)):null!=t.right&&(t.left=e.scrollWidth-e.clientWidth-t.right),this._applyScrollToOptions(t)},t.prototype._applyScrollToOptions=function(t){var e=this.elementRef.nativeElement;i.supportsScrollBehavior()?e.scrollTo(t):(null!=t.top&&(e.scrollTop=t.top),null!=t.left&&(e.scrollLeft=t.left))},t.prototype.measureScrollOffset=function(t){var e=this.elementRef.nativeElement;if("top"==t)return e.scrollTop;if("bottom"==t)return e.scrollHeight-e.clientHeight-e.scrollTop;var r=this.dir&&"rtl"==this.dir.value;return"start"==t?t=r?"right":"left":"end"==t&&(t=r?"left":"right"),r&&2==i.getRtlScrollAxisType()?"left"==t?e.scrollWidth-e.clientWidth-e.scrollLeft:e.scrollLeft:r&&1==i.getRtlScrollAxisType()?"left"==t?e.scrollLeft+e.scrollWidth-e.clientWidth:-e.scrollLeft:"left"==t?e.scrollLeft:e.scrollWidth-e.clientWidth-e.scrollLeft},t}();f.decorators=[{type:r.Directive,args:[{selector:"[cdk-scrollable], [cdkScrollable]"}]}],f.ctorParameters=function(){return[{type:r.ElementRef},{type:p},{type:r.NgZone},{type:s.Directionality,decorators:[{type:r.Optional}]}]};
+var g=function(){function t(t,e,r,n,i){this._viewport=null,this._rowHeight=t,this._columnWidth=e,this._columnCount=r,this._minBufferPx=n,this._maxBufferPx=i,this._rowStrategy=new p(t,n,i),this.scrolledIndexChange=this._rowStrategy.scrolledIndexChange}return t.prototype.attach=function(t){this._viewport=t,this._rowStrategy.attach(t),this._updateTotalColumnContentSize(),this._updateRenderedColumnRange()},t.prototype.detach=function(){this._rowStrategy.detach(),this._viewport=null},t.prototype.updateCellAndBufferSize=function(t,e,r,n,i){this._rowStrategy.updateItemAndBufferSize(t,n,i),this._rowHeight=t,this._columnWidth=e,this._columnCount=r,this._minBufferPx=n,this._maxBufferPx=i,this._updateTotalColumnContentSize(),this._updateRenderedColumnRange()},t.prototype.onContentScrolled=function(){this._rowStrategy.onContentScrolled(),this._updateRenderedColumnRange()},t.prototype.onDataLengthChanged=function(){this._rowStrategy.onDataLengthChanged(),this._updateRenderedColumnRange()},t.prototype.onContentRendered=function(){},t.prototype.onRenderedOffsetChanged=function(){},t.prototype.scrollToIndex=function(t,e){this._rowStrategy.scrollToIndex(t,e)},t.prototype.scrollToCell=function(t,e,r){this._viewport&&this._viewport.scrollTo({top:t*this._rowHeight,start:e*this._columnWidth,behavior:r})},t.prototype._updateTotalColumnContentSize=function(){this._viewport&&this._viewport.setTotalColumnContentSize(this._columnCount*this._columnWidth)},t.prototype._updateRenderedColumnRange=function(){if(this._viewport){var t=this._viewport.getRenderedColumnRange(),e=this._viewport.getViewportWidth(),r=this._viewport.measureScrollOffset("start"),n=this._columnCount,i=this._columnWidth;if(r-t.start*i<this._minBufferPx&&0!=t.start||t.end*i-(r+e)<this._minBufferPx&&t.end!=n||t.end>n){var o=i>0?Math.floor((r-this._maxBufferPx)/i):0,a=i>0?Math.ceil((r+e+this._maxBufferPx)/i):0,s={start:Math.max(0,Math.min(o,n)),end:Math.max(0,Math.min(a,n))};this._viewport.setRenderedColumnRange(s),this._viewport.setRenderedColumnContentOffset(s.start*i)}}},t}();function m(t){return t._scrollStrategy}var y=function(){function t(){this._rowHeight=20,this._columnWidth=100,this._columnCount=0,this._minBufferPx=100,this._maxBufferPx=200,this._scrollStrategy=new g(this.rowHeight,this.columnWidth,this.columnCount,this.minBufferPx,this.maxBufferPx)}return Object.defineProperty(t.prototype,"rowHeight",{get:function(){return this._rowHeight},set:function(t){this._rowHeight=e.coerceNumberProperty(t)},enumerable:!1,configurable:!0}),Object.defineProperty(t.prototype,"columnWidth",{get:function(){return this._columnWidth},set:function(t){this._columnWidth=e.coerceNumberProperty(t)},enumerable:!1,configurable:!0}),Object.defineProperty(t.prototype,"columnCount",{get:function(){return this._columnCount},set:function(t){this._columnCount=e.coerceNumberProperty(t)},enumerable:!1,configurable:!0}),Object.defineProperty(t.prototype,"minBufferPx",{get:function(){return this._minBufferPx},set:function(t){this._minBufferPx=e.coerceNumberProperty(t)},enumerable:!1,configurable:!0}),Object.defineProperty(t.prototype,"maxBufferPx",{get:function(){return this._maxBufferPx},set:function(t){this._maxBufferPx=e.coerceNumberProperty(t)},enumerable:!1,configurable:!0}),t.prototype.ngOnChanges=function(){this._scrollStrategy.updateCellAndBufferSize(this.rowHeight,this.columnWidth,this.columnCount,this.minBufferPx,this.maxBufferPx)},t}();y.decorators=[{type:r.Directive,args:[{selector:"cdk-virtual-scroll-viewport[rowHeight][columnWidth]",providers:[{provide:c,useFactory:m,deps:[r.forwardRef((function(){return y}))]}]}]}],y.propDecorators={rowHeight:[{type:r.Input}],columnWidth:[{type:r.Input}],columnCount:[{type:r.Input}],minBufferPx:[{type:r.Input}],maxBufferPx:[{type:r.Input}]};
+/**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+var v=function(){function t(t,e,r){this._ngZone=t,this._platform=e,this._scrolled=new n.Subject,this._globalSubscription=null,this._scrolledCount=0,this.scrollContainers=new Map,this._document=r}return t.prototype.register=function(t){var e=this;this.scrollContainers.has(t)||this.scrollContainers.set(t,t.elementScrolled().subscribe((function(){return e._scrolled.next(t)})))},t.prototype.deregister=function(t){var e=this.scrollContainers.get(t);e&&(e.unsubscribe(),this.scrollContainers.delete(t))},t.prototype.scrolled=function(t){var e=this;return void 0===t&&(t=20),this._platform.isBrowser?new n.Observable((function(r){e._globalSubscription||e._addGlobalListener();var n=t>0?e._scrolled.pipe(i.auditTime(t)).subscribe(r):e._scrolled.subscribe(r);return e._scrolledCount++,function(){n.unsubscribe(),e._scrolledCount--,e._scrolledCount||e._removeGlobalListener()}})):n.of()},t.prototype.ngOnDestroy=function(){var t=this;this._removeGlobalListener(),this.scrollContainers.forEach((function(e,r){return t.deregister(r)})),this._scrolled.complete()},t.prototype.ancestorScrolled=function(t,e){var r=this.getAncestorScrollContainers(t);return this.scrolled(e).pipe(i.filter((function(t){return!t||r.indexOf(t)>-1})))},t.prototype.getAncestorScrollContainers=function(t){var e=this,r=[];return this.scrollContainers.forEach((function(n,i){e._scrollableContainsElement(i,t)&&r.push(i)})),r},t.prototype._getWindow=function(){return this._document.defaultView||window},t.prototype._scrollableContainsElement=function(t,r){var n=e.coerceElement(r),i=t.getElementRef().nativeElement;do{if(n==i)return!0}while(n=n.parentElement);return!1},t.prototype._addGlobalListener=function(){var t=this;this._globalSubscription=this._ngZone.runOutsideAngular((function(){var e=t._getWindow();return n.fromEvent(e.document,"scroll").subscribe((function(){return t._scrolled.next()}))}))},t.prototype._removeGlobalListener=function(){this._globalSubscription&&(this._globalSubscription.unsubscribe(),this._globalSubscription=null)},t}();v.ɵprov=r.ɵɵdefineInjectable({factory:function t(){return new v(r.ɵɵinject(r.NgZone),r.ɵɵinject(o.Platform),r.ɵɵinject(a.DOCUMENT,8))},token:v,providedIn:"root"}),v.decorators=[{type:r.Injectable,args:[{providedIn:"root"}]}],v.ctorParameters=function(){return[{type:r.NgZone},{type:o.Platform},{type:void 0,decorators:[{type:r.Optional},{type:r.Inject,args:[a.DOCUMENT]}]}]};
+/**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+var S=function(){function t(t,e,r,o){var a=this;this.elementRef=t,this.scrollDispatcher=e,this.ngZone=r,this.dir=o,this._destroyed=new n.Subject,this._elementScrolled=new n.Observable((function(t){return a.ngZone.runOutsideAngular((function(){return n.fromEvent(a.elementRef.nativeElement,"scroll").pipe(i.takeUntil(a._destroyed)).subscribe(t)}))}))}return t.prototype.ngOnInit=function(){this.scrollDispatcher.register(this)},t.prototype.ngOnDestroy=function(){this.scrollDispatcher.deregister(this),this._destroyed.next(),this._destroyed.complete()},t.prototype.elementScrolled=function(){return this._elementScrolled},t.prototype.getElementRef=function(){return this.elementRef},t.prototype.scrollTo=function(t){var e=this.elementRef.nativeElement,r=this.dir&&"rtl"==this.dir.value;null==t.left&&(t.left=r?t.end:t.start),null==t.right&&(t.right=r?t.start:t.end),null!=t.bottom&&(t.top=e.scrollHeight-e.clientHeight-t.bottom),r&&0!=o.getRtlScrollAxisType()?(null!=t.left&&(t.right=e.scrollWidth-e.clientWidth-t.left),2==o.getRtlScrollAxisType()?t.left=t.right:1==o.getRtlScrollAxisType()&&(t.left=t.right?-t.right:t.right)):null!=t.right&&(t.left=e.scrollWidth-e.clientWidth-t.right),this._applyScrollToOptions(t)},t.prototype._applyScrollToOptions=function(t){var e=this.elementRef.nativeElement;o.supportsScrollBehavior()?e.scrollTo(t):(null!=t.top&&(e.scrollTop=t.top),null!=t.left&&(e.scrollLeft=t.left))},t.prototype.measureScrollOffset=function(t){var e=this.elementRef.nativeElement;if("top"==t)return e.scrollTop;if("bottom"==t)return e.scrollHeight-e.clientHeight-e.scrollTop;var r=this.dir&&"rtl"==this.dir.value;return"start"==t?t=r?"right":"left":"end"==t&&(t=r?"left":"right"),r&&2==o.getRtlScrollAxisType()?"left"==t?e.scrollWidth-e.clientWidth-e.scrollLeft:e.scrollLeft:r&&1==o.getRtlScrollAxisType()?"left"==t?e.scrollLeft+e.scrollWidth-e.clientWidth:-e.scrollLeft:"left"==t?e.scrollLeft:e.scrollWidth-e.clientWidth-e.scrollLeft},t}();S.decorators=[{type:r.Directive,args:[{selector:"[cdk-scrollable], [cdkScrollable]"}]}],S.ctorParameters=function(){return[{type:r.ElementRef},{type:v},{type:r.NgZone},{type:s.Directionality,decorators:[{type:r.Optional}]}]};
 /*! *****************************************************************************
     Copyright (c) Microsoft Corporation.
 
@@ -43,7 +59,15 @@ var f=function(){function t(t,e,r,i){var a=this;this.elementRef=t,this.scrollDis
     OTHER TORTIOUS ACTION, ARISING OUT OF OR IN CONNECTION WITH THE USE OR
     PERFORMANCE OF THIS SOFTWARE.
     ***************************************************************************** */
-var g=function(t,e){return(g=Object.setPrototypeOf||{__proto__:[]}instanceof Array&&function(t,e){t.__proto__=e}||function(t,e){for(var r in e)Object.prototype.hasOwnProperty.call(e,r)&&(t[r]=e[r])})(t,e)},_=function(){function t(t,e,r){var o=this;this._platform=t,this._change=new n.Subject,this._changeListener=function(t){o._change.next(t)},this._document=r,e.runOutsideAngular((function(){if(t.isBrowser){var e=o._getWindow();e.addEventListener("resize",o._changeListener),e.addEventListener("orientationchange",o._changeListener)}o.change().subscribe((function(){return o._updateViewportSize()}))}))}return t.prototype.ngOnDestroy=function(){if(this._platform.isBrowser){var t=this._getWindow();t.removeEventListener("resize",this._changeListener),t.removeEventListener("orientationchange",this._changeListener)}this._change.complete()},t.prototype.getViewportSize=function(){this._viewportSize||this._updateViewportSize();var t={width:this._viewportSize.width,height:this._viewportSize.height};return this._platform.isBrowser||(this._viewportSize=null),t},t.prototype.getViewportRect=function(){var t=this.getViewportScrollPosition(),e=this.getViewportSize(),r=e.width,n=e.height;return{top:t.top,left:t.left,bottom:t.top+n,right:t.left+r,height:n,width:r}},t.prototype.getViewportScrollPosition=function(){if(!this._platform.isBrowser)return{top:0,left:0};var t=this._document,e=this._getWindow(),r=t.documentElement,n=r.getBoundingClientRect();return{top:-n.top||t.body.scrollTop||e.scrollY||r.scrollTop||0,left:-n.left||t.body.scrollLeft||e.scrollX||r.scrollLeft||0}},t.prototype.change=function(t){return void 0===t&&(t=20),t>0?this._change.pipe(o.auditTime(t)):this._change},t.prototype._getWindow=function(){return this._document.defaultView||window},t.prototype._updateViewportSize=function(){var t=this._getWindow();this._viewportSize=this._platform.isBrowser?{width:t.innerWidth,height:t.innerHeight}:{width:0,height:0}},t}();_.ɵprov=r.ɵɵdefineInjectable({factory:function t(){return new _(r.ɵɵinject(i.Platform),r.ɵɵinject(r.NgZone),r.ɵɵinject(a.DOCUMENT,8))},token:_,providedIn:"root"}),_.decorators=[{type:r.Injectable,args:[{providedIn:"root"}]}],_.ctorParameters=function(){return[{type:i.Platform},{type:r.NgZone},{type:void 0,decorators:[{type:r.Optional},{type:r.Inject,args:[a.DOCUMENT]}]}]};var m="undefined"!=typeof requestAnimationFrame?n.animationFrameScheduler:n.asapScheduler,y=function(t){function e(e,r,o,i,a,s,l){var c=t.call(this,e,s,o,a)||this;return c.elementRef=e,c._changeDetectorRef=r,c._scrollStrategy=i,c._detachedSubject=new n.Subject,c._renderedRangeSubject=new n.Subject,c._orientation="vertical",c.scrolledIndexChange=new n.Observable((function(t){return c._scrollStrategy.scrolledIndexChange.subscribe((function(e){return Promise.resolve().then((function(){return c.ngZone.run((function(){return t.next(e)}))}))}))})),c.renderedRangeStream=c._renderedRangeSubject,c._totalContentSize=0,c._totalContentWidth="",c._totalContentHeight="",c._renderedRange={start:0,end:0},c._dataLength=0,c._viewportSize=0,c._renderedContentOffset=0,c._renderedContentOffsetNeedsRewrite=!1,c._isChangeDetectionPending=!1,c._runAfterChangeDetection=[],c._viewportChanges=n.Subscription.EMPTY,c._viewportChanges=l.change().subscribe((function(){c.checkViewportSize()})),c}return function r(t,e){if("function"!=typeof e&&null!==e)throw new TypeError("Class extends value "+String(e)+" is not a constructor or null");function r(){this.constructor=t}g(t,e),t.prototype=null===e?Object.create(e):(r.prototype=e.prototype,new r)}(e,t),Object.defineProperty(e.prototype,"orientation",{get:function(){return this._orientation},set:function(t){this._orientation!==t&&(this._orientation=t,this._calculateSpacerSize())},enumerable:!1,configurable:!0}),e.prototype.ngOnInit=function(){var e=this;t.prototype.ngOnInit.call(this),this.ngZone.runOutsideAngular((function(){return Promise.resolve().then((function(){e._measureViewportSize(),e._scrollStrategy.attach(e),e.elementScrolled().pipe(o.startWith(null),o.auditTime(0,m)).subscribe((function(){return e._scrollStrategy.onContentScrolled()})),e._markChangeDetectionNeeded()}))}))},e.prototype.ngOnDestroy=function(){this.detach(),this._scrollStrategy.detach(),this._renderedRangeSubject.complete(),this._detachedSubject.complete(),this._viewportChanges.unsubscribe(),t.prototype.ngOnDestroy.call(this)},e.prototype.attach=function(t){var e=this;this.ngZone.runOutsideAngular((function(){e._forOf=t,e._forOf.dataStream.pipe(o.takeUntil(e._detachedSubject)).subscribe((function(t){var r=t.length;r!==e._dataLength&&(e._dataLength=r,e._scrollStrategy.onDataLengthChanged()),e._doChangeDetection()}))}))},e.prototype.detach=function(){this._forOf=null,this._detachedSubject.next()},e.prototype.getDataLength=function(){return this._dataLength},e.prototype.getViewportSize=function(){return this._viewportSize},e.prototype.getRenderedRange=function(){return this._renderedRange},e.prototype.setTotalContentSize=function(t){this._totalContentSize!==t&&(this._totalContentSize=t,this._calculateSpacerSize(),this._markChangeDetectionNeeded())},e.prototype.setRenderedRange=function(t){var e=this;(function r(t,e){return t.start==e.start&&t.end==e.end})(this._renderedRange,t)||(this._renderedRangeSubject.next(this._renderedRange=t),this._markChangeDetectionNeeded((function(){return e._scrollStrategy.onContentRendered()})))},e.prototype.getOffsetToRenderedContentStart=function(){return this._renderedContentOffsetNeedsRewrite?null:this._renderedContentOffset},e.prototype.setRenderedContentOffset=function(t,e){var r=this;void 0===e&&(e="to-start");var n="horizontal"==this.orientation,o=n?"X":"Y",i="translate"+o+"("+Number((n&&this.dir&&"rtl"==this.dir.value?-1:1)*t)+"px)";this._renderedContentOffset=t,"to-end"===e&&(i+=" translate"+o+"(-100%)",this._renderedContentOffsetNeedsRewrite=!0),this._renderedContentTransform!=i&&(this._renderedContentTransform=i,this._markChangeDetectionNeeded((function(){r._renderedContentOffsetNeedsRewrite?(r._renderedContentOffset-=r.measureRenderedContentSize(),r._renderedContentOffsetNeedsRewrite=!1,r.setRenderedContentOffset(r._renderedContentOffset)):r._scrollStrategy.onRenderedOffsetChanged()})))},e.prototype.scrollToOffset=function(t,e){void 0===e&&(e="auto");var r={behavior:e};"horizontal"===this.orientation?r.start=t:r.top=t,this.scrollTo(r)},e.prototype.scrollToIndex=function(t,e){void 0===e&&(e="auto"),this._scrollStrategy.scrollToIndex(t,e)},e.prototype.measureScrollOffset=function(e){return t.prototype.measureScrollOffset.call(this,e||("horizontal"===this.orientation?"start":"top"))},e.prototype.measureRenderedContentSize=function(){var t=this._contentWrapper.nativeElement;return"horizontal"===this.orientation?t.offsetWidth:t.offsetHeight},e.prototype.measureRangeSize=function(t){return this._forOf?this._forOf.measureRangeSize(t,this.orientation):0},e.prototype.checkViewportSize=function(){this._measureViewportSize(),this._scrollStrategy.onDataLengthChanged()},e.prototype._measureViewportSize=function(){var t=this.elementRef.nativeElement;this._viewportSize="horizontal"===this.orientation?t.clientWidth:t.clientHeight},e.prototype._markChangeDetectionNeeded=function(t){var e=this;t&&this._runAfterChangeDetection.push(t),this._isChangeDetectionPending||(this._isChangeDetectionPending=!0,this.ngZone.runOutsideAngular((function(){return Promise.resolve().then((function(){e._doChangeDetection()}))})))},e.prototype._doChangeDetection=function(){var t,e,r=this;this._isChangeDetectionPending=!1,this._contentWrapper.nativeElement.style.transform=this._renderedContentTransform,this.ngZone.run((function(){return r._changeDetectorRef.markForCheck()}));var n=this._runAfterChangeDetection;this._runAfterChangeDetection=[];try{for(var o=function i(t){var e="function"==typeof Symbol&&Symbol.iterator,r=e&&t[e],n=0;if(r)return r.call(t);if(t&&"number"==typeof t.length)return{next:function(){return t&&n>=t.length&&(t=void 0),{value:t&&t[n++],done:!t}}};throw new TypeError(e?"Object is not iterable.":"Symbol.iterator is not defined.")}(n),a=o.next();!a.done;a=o.next())(0,a.value)()}catch(e){t={error:e}}finally{try{a&&!a.done&&(e=o.return)&&e.call(o)}finally{if(t)throw t.error}}},e.prototype._calculateSpacerSize=function(){this._totalContentHeight="horizontal"===this.orientation?"":this._totalContentSize+"px",this._totalContentWidth="horizontal"===this.orientation?this._totalContentSize+"px":""},e}(f);function v(t,e,r){if(!r.getBoundingClientRect)return 0;var n=r.getBoundingClientRect();return"horizontal"===t?"start"===e?n.left:n.right:"start"===e?n.top:n.bottom}y.decorators=[{type:r.Component,args:[{selector:"cdk-virtual-scroll-viewport",template:'\x3c!--\n  Wrap the rendered content in an element that will be used to offset it based on the scroll\n  position.\n--\x3e\n<div #contentWrapper class="cdk-virtual-scroll-content-wrapper">\n  <ng-content></ng-content>\n</div>\n\x3c!--\n  Spacer used to force the scrolling container to the correct size for the *total* number of items\n  so that the scrollbar captures the size of the entire data set.\n--\x3e\n<div class="cdk-virtual-scroll-spacer"\n     [style.width]="_totalContentWidth" [style.height]="_totalContentHeight"></div>\n',host:{class:"cdk-virtual-scroll-viewport","[class.cdk-virtual-scroll-orientation-horizontal]":'orientation === "horizontal"',"[class.cdk-virtual-scroll-orientation-vertical]":'orientation !== "horizontal"'},encapsulation:r.ViewEncapsulation.None,changeDetection:r.ChangeDetectionStrategy.OnPush,providers:[{provide:f,useExisting:y}],styles:["cdk-virtual-scroll-viewport{display:block;position:relative;overflow:auto;contain:strict;transform:translateZ(0);will-change:scroll-position;-webkit-overflow-scrolling:touch}.cdk-virtual-scroll-content-wrapper{position:absolute;top:0;left:0;contain:content}[dir=rtl] .cdk-virtual-scroll-content-wrapper{right:0;left:auto}.cdk-virtual-scroll-orientation-horizontal .cdk-virtual-scroll-content-wrapper{min-height:100%}.cdk-virtual-scroll-orientation-horizontal .cdk-virtual-scroll-content-wrapper>dl:not([cdkVirtualFor]),.cdk-virtual-scroll-orientation-horizontal .cdk-virtual-scroll-content-wrapper>ol:not([cdkVirtualFor]),.cdk-virtual-scroll-orientation-horizontal .cdk-virtual-scroll-content-wrapper>table:not([cdkVirtualFor]),.cdk-virtual-scroll-orientation-horizontal .cdk-virtual-scroll-content-wrapper>ul:not([cdkVirtualFor]){padding-left:0;padding-right:0;margin-left:0;margin-right:0;border-left-width:0;border-right-width:0;outline:none}.cdk-virtual-scroll-orientation-vertical .cdk-virtual-scroll-content-wrapper{min-width:100%}.cdk-virtual-scroll-orientation-vertical .cdk-virtual-scroll-content-wrapper>dl:not([cdkVirtualFor]),.cdk-virtual-scroll-orientation-vertical .cdk-virtual-scroll-content-wrapper>ol:not([cdkVirtualFor]),.cdk-virtual-scroll-orientation-vertical .cdk-virtual-scroll-content-wrapper>table:not([cdkVirtualFor]),.cdk-virtual-scroll-orientation-vertical .cdk-virtual-scroll-content-wrapper>ul:not([cdkVirtualFor]){padding-top:0;padding-bottom:0;margin-top:0;margin-bottom:0;border-top-width:0;border-bottom-width:0;outline:none}.cdk-virtual-scroll-spacer{position:absolute;top:0;left:0;height:1px;width:1px;transform-origin:0 0}[dir=rtl] .cdk-virtual-scroll-spacer{right:0;left:auto;transform-origin:100% 0}\n"]}]}],y.ctorParameters=function(){return[{type:r.ElementRef},{type:r.ChangeDetectorRef},{type:r.NgZone},{type:void 0,decorators:[{type:r.Optional},{type:r.Inject,args:[c]}]},{type:s.Directionality,decorators:[{type:r.Optional}]},{type:p},{type:_}]},y.propDecorators={orientation:[{type:r.Input}],scrolledIndexChange:[{type:r.Output}],_contentWrapper:[{type:r.ViewChild,args:["contentWrapper",{static:!0}]}]};var S,w,b=function(){function t(t,e,r,i,a,s){var l=this;this._viewContainerRef=t,this._template=e,this._differs=r,this._viewRepeater=i,this._viewport=a,this.viewChange=new n.Subject,this._dataSourceChanges=new n.Subject,this.dataStream=this._dataSourceChanges.pipe(o.startWith(null),o.pairwise(),o.switchMap((function(t){var e=function r(t,e){var r="function"==typeof Symbol&&t[Symbol.iterator];if(!r)return t;var n,o,i=r.call(t),a=[];try{for(;(void 0===e||e-- >0)&&!(n=i.next()).done;)a.push(n.value)}catch(t){o={error:t}}finally{try{n&&!n.done&&(r=i.return)&&r.call(i)}finally{if(o)throw o.error}}return a}(t,2);return l._changeDataSource(e[0],e[1])})),o.shareReplay(1)),this._differ=null,this._needsUpdate=!1,this._destroyed=new n.Subject,this.dataStream.subscribe((function(t){l._data=t,l._onRenderedDataChange()})),this._viewport.renderedRangeStream.pipe(o.takeUntil(this._destroyed)).subscribe((function(t){l._renderedRange=t,s.run((function(){return l.viewChange.next(l._renderedRange)})),l._onRenderedDataChange()})),this._viewport.attach(this)}return Object.defineProperty(t.prototype,"cdkVirtualForOf",{get:function(){return this._cdkVirtualForOf},set:function(t){this._cdkVirtualForOf=t,l.isDataSource(t)?this._dataSourceChanges.next(t):this._dataSourceChanges.next(new l.ArrayDataSource(n.isObservable(t)?t:Array.from(t||[])))},enumerable:!1,configurable:!0}),Object.defineProperty(t.prototype,"cdkVirtualForTrackBy",{get:function(){return this._cdkVirtualForTrackBy},set:function(t){var e=this;this._needsUpdate=!0,this._cdkVirtualForTrackBy=t?function(r,n){return t(r+(e._renderedRange?e._renderedRange.start:0),n)}:void 0},enumerable:!1,configurable:!0}),Object.defineProperty(t.prototype,"cdkVirtualForTemplate",{set:function(t){t&&(this._needsUpdate=!0,this._template=t)},enumerable:!1,configurable:!0}),Object.defineProperty(t.prototype,"cdkVirtualForTemplateCacheSize",{get:function(){return this._viewRepeater.viewCacheSize},set:function(t){this._viewRepeater.viewCacheSize=e.coerceNumberProperty(t)},enumerable:!1,configurable:!0}),t.prototype.measureRangeSize=function(t,e){if(t.start>=t.end)return 0;for(var r,n,o=t.start-this._renderedRange.start,i=t.end-t.start,a=0;a<i;a++)if((s=this._viewContainerRef.get(a+o))&&s.rootNodes.length){r=n=s.rootNodes[0];break}for(a=i-1;a>-1;a--){var s;if((s=this._viewContainerRef.get(a+o))&&s.rootNodes.length){n=s.rootNodes[s.rootNodes.length-1];break}}return r&&n?v(e,"end",n)-v(e,"start",r):0},t.prototype.ngDoCheck=function(){if(this._differ&&this._needsUpdate){var t=this._differ.diff(this._renderedItems);t?this._applyChanges(t):this._updateContext(),this._needsUpdate=!1}},t.prototype.ngOnDestroy=function(){this._viewport.detach(),this._dataSourceChanges.next(void 0),this._dataSourceChanges.complete(),this.viewChange.complete(),this._destroyed.next(),this._destroyed.complete(),this._viewRepeater.detach()},t.prototype._onRenderedDataChange=function(){var t=this;this._renderedRange&&(this._renderedItems=this._data.slice(this._renderedRange.start,this._renderedRange.end),this._differ||(this._differ=this._differs.find(this._renderedItems).create((function(e,r){return t.cdkVirtualForTrackBy?t.cdkVirtualForTrackBy(e,r):r}))),this._needsUpdate=!0)},t.prototype._changeDataSource=function(t,e){return t&&t.disconnect(this),this._needsUpdate=!0,e?e.connect(this):n.of()},t.prototype._updateContext=function(){for(var t=this._data.length,e=this._viewContainerRef.length;e--;){var r=this._viewContainerRef.get(e);r.context.index=this._renderedRange.start+e,r.context.count=t,this._updateComputedContextProperties(r.context),r.detectChanges()}},t.prototype._applyChanges=function(t){var e=this;this._viewRepeater.applyChanges(t,this._viewContainerRef,(function(t,r,n){return e._getEmbeddedViewArgs(t,n)}),(function(t){return t.item})),t.forEachIdentityChange((function(t){e._viewContainerRef.get(t.currentIndex).context.$implicit=t.item}));for(var r=this._data.length,n=this._viewContainerRef.length;n--;){var o=this._viewContainerRef.get(n);o.context.index=this._renderedRange.start+n,o.context.count=r,this._updateComputedContextProperties(o.context)}},t.prototype._updateComputedContextProperties=function(t){t.first=0===t.index,t.last=t.index===t.count-1,t.even=t.index%2==0,t.odd=!t.even},t.prototype._getEmbeddedViewArgs=function(t,e){return{templateRef:this._template,context:{$implicit:t.item,cdkVirtualForOf:this._cdkVirtualForOf,index:-1,count:-1,first:!1,last:!1,odd:!1,even:!1},index:e}},t}();b.decorators=[{type:r.Directive,args:[{selector:"[cdkVirtualFor][cdkVirtualForOf]",providers:[{provide:l._VIEW_REPEATER_STRATEGY,useClass:l._RecycleViewRepeaterStrategy}]}]}],b.ctorParameters=function(){return[{type:r.ViewContainerRef},{type:r.TemplateRef},{type:r.IterableDiffers},{type:l._RecycleViewRepeaterStrategy,decorators:[{type:r.Inject,args:[l._VIEW_REPEATER_STRATEGY]}]},{type:y,decorators:[{type:r.SkipSelf}]},{type:r.NgZone}]},b.propDecorators={cdkVirtualForOf:[{type:r.Input}],cdkVirtualForTrackBy:[{type:r.Input}],cdkVirtualForTemplate:[{type:r.Input}],cdkVirtualForTemplateCacheSize:[{type:r.Input}]},(S=function S(){}).decorators=[{type:r.NgModule,args:[{exports:[f],declarations:[f]}]}],(w=function w(){}).decorators=[{type:r.NgModule,args:[{imports:[s.BidiModule,i.PlatformModule,S],exports:[s.BidiModule,S,h,b,y],declarations:[h,b,y]}]}],
+var C=function(t,e){return(C=Object.setPrototypeOf||{__proto__:[]}instanceof Array&&function(t,e){t.__proto__=e}||function(t,e){for(var r in e)Object.prototype.hasOwnProperty.call(e,r)&&(t[r]=e[r])})(t,e)};function w(t,e){if("function"!=typeof e&&null!==e)throw new TypeError("Class extends value "+String(e)+" is not a constructor or null");function r(){this.constructor=t}C(t,e),t.prototype=null===e?Object.create(e):(r.prototype=e.prototype,new r)}
+/**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+var b=function(){function t(t,e,r){var i=this;this._platform=t,this._change=new n.Subject,this._changeListener=function(t){i._change.next(t)},this._document=r,e.runOutsideAngular((function(){if(t.isBrowser){var e=i._getWindow();e.addEventListener("resize",i._changeListener),e.addEventListener("orientationchange",i._changeListener)}i.change().subscribe((function(){return i._updateViewportSize()}))}))}return t.prototype.ngOnDestroy=function(){if(this._platform.isBrowser){var t=this._getWindow();t.removeEventListener("resize",this._changeListener),t.removeEventListener("orientationchange",this._changeListener)}this._change.complete()},t.prototype.getViewportSize=function(){this._viewportSize||this._updateViewportSize();var t={width:this._viewportSize.width,height:this._viewportSize.height};return this._platform.isBrowser||(this._viewportSize=null),t},t.prototype.getViewportRect=function(){var t=this.getViewportScrollPosition(),e=this.getViewportSize(),r=e.width,n=e.height;return{top:t.top,left:t.left,bottom:t.top+n,right:t.left+r,height:n,width:r}},t.prototype.getViewportScrollPosition=function(){if(!this._platform.isBrowser)return{top:0,left:0};var t=this._document,e=this._getWindow(),r=t.documentElement,n=r.getBoundingClientRect();return{top:-n.top||t.body.scrollTop||e.scrollY||r.scrollTop||0,left:-n.left||t.body.scrollLeft||e.scrollX||r.scrollLeft||0}},t.prototype.change=function(t){return void 0===t&&(t=20),t>0?this._change.pipe(i.auditTime(t)):this._change},t.prototype._getWindow=function(){return this._document.defaultView||window},t.prototype._updateViewportSize=function(){var t=this._getWindow();this._viewportSize=this._platform.isBrowser?{width:t.innerWidth,height:t.innerHeight}:{width:0,height:0}},t}();function x(t,e){return t.start==e.start&&t.end==e.end}b.ɵprov=r.ɵɵdefineInjectable({factory:function t(){return new b(r.ɵɵinject(o.Platform),r.ɵɵinject(r.NgZone),r.ɵɵinject(a.DOCUMENT,8))},token:b,providedIn:"root"}),b.decorators=[{type:r.Injectable,args:[{providedIn:"root"}]}],b.ctorParameters=function(){return[{type:o.Platform},{type:r.NgZone},{type:void 0,decorators:[{type:r.Optional},{type:r.Inject,args:[a.DOCUMENT]}]}]};var R="undefined"!=typeof requestAnimationFrame?n.animationFrameScheduler:n.asapScheduler,z=function(t){function e(e,r,i,o,a,s,l){var c=t.call(this,e,s,i,a)||this;return c.elementRef=e,c._changeDetectorRef=r,c._scrollStrategy=o,c._detachedSubject=new n.Subject,c._renderedRangeSubject=new n.Subject,c._renderedColumnRangeSubject=new n.Subject,c._orientation="vertical",c.scrolledIndexChange=new n.Observable((function(t){return c._scrollStrategy.scrolledIndexChange.subscribe((function(e){return Promise.resolve().then((function(){return c.ngZone.run((function(){return t.next(e)}))}))}))})),c.renderedRangeStream=c._renderedRangeSubject,c.renderedColumnRangeStream=c._renderedColumnRangeSubject,c._totalContentSize=0,c._totalColumnContentSize=0,c._totalContentWidth="",c._totalContentHeight="",c._renderedRange={start:0,end:0},c._renderedColumnRange={start:0,end:0},c._renderedColumnContentTransform="",c._dataLength=0,c._viewportSize=0,c._viewportWidth=0,c._renderedContentOffset=0,c._renderedContentOffsetNeedsRewrite=!1,c._isChangeDetectionPending=!1,c._runAfterChangeDetection=[],c._viewportChanges=n.Subscription.EMPTY,c._viewportChanges=l.change().subscribe((function(){c.checkViewportSize()})),c}return w(e,t),Object.defineProperty(e.prototype,"orientation",{get:function(){return this._orientation},set:function(t){this._orientation!==t&&(this._orientation=t,this._calculateSpacerSize())},enumerable:!1,configurable:!0}),e.prototype.ngOnInit=function(){var e=this;t.prototype.ngOnInit.call(this),this.ngZone.runOutsideAngular((function(){return Promise.resolve().then((function(){e._measureViewportSize(),e._scrollStrategy.attach(e),e.elementScrolled().pipe(i.startWith(null),i.auditTime(0,R)).subscribe((function(){return e._scrollStrategy.onContentScrolled()})),e._markChangeDetectionNeeded()}))}))},e.prototype.ngOnDestroy=function(){this.detach(),this._scrollStrategy.detach(),this._renderedRangeSubject.complete(),this._renderedColumnRangeSubject.complete(),this._detachedSubject.complete(),this._viewportChanges.unsubscribe(),t.prototype.ngOnDestroy.call(this)},e.prototype.attach=function(t){var e=this;this.ngZone.runOutsideAngular((function(){e._forOf=t,e._forOf.dataStream.pipe(i.takeUntil(e._detachedSubject)).subscribe((function(t){var r=t.length,n=r!==e._dataLength;e._dataLength=r,e._scrollStrategy.onDataChanged&&e._scrollStrategy.onDataChanged(),n&&e._scrollStrategy.onDataLengthChanged(),e._runAfterChangeDetection.push((function(){return e._scrollStrategy.onContentRendered()})),e._doChangeDetection()}))}))},e.prototype.detach=function(){this._forOf=null,this._detachedSubject.next()},e.prototype.getDataLength=function(){return this._dataLength},e.prototype.getViewportSize=function(){return this._viewportSize},e.prototype.getViewportWidth=function(){return this._viewportWidth},e.prototype.getRenderedRange=function(){return this._renderedRange},e.prototype.setTotalContentSize=function(t){this._totalContentSize!==t&&(this._totalContentSize=t,this._calculateSpacerSize(),this._markChangeDetectionNeeded())},e.prototype.setRenderedRange=function(t){var e=this;x(this._renderedRange,t)||(this._renderedRangeSubject.next(this._renderedRange=t),this._markChangeDetectionNeeded((function(){return e._scrollStrategy.onContentRendered()})))},e.prototype.getRenderedColumnRange=function(){return this._renderedColumnRange},e.prototype.setRenderedColumnRange=function(t){var e=this;x(this._renderedColumnRange,t)||(this._renderedColumnRangeSubject.next(this._renderedColumnRange=t),this._markChangeDetectionNeeded((function(){return e._scrollStrategy.onContentRendered()})))},e.prototype.setTotalColumnContentSize=function(t){this._totalColumnContentSize!==t&&(this._totalColumnContentSize=t,this._calculateSpacerSize(),this._markChangeDetectionNeeded())},e.prototype.setRenderedColumnContentOffset=function(t){var e="translateX("+Number((this.dir&&"rtl"==this.dir.value?-1:1)*t)+"px)";this._renderedColumnContentTransform!=e&&(this._renderedColumnContentTransform=e,this._markChangeDetectionNeeded())},e.prototype.getOffsetToRenderedContentStart=function(){return this._renderedContentOffsetNeedsRewrite?null:this._renderedContentOffset},e.prototype.setRenderedContentOffset=function(t,e){var r=this;void 0===e&&(e="to-start");var n="horizontal"==this.orientation,i=n?"X":"Y",o="translate"+i+"("+Number((n&&this.dir&&"rtl"==this.dir.value?-1:1)*t)+"px)";this._renderedContentOffset=t,"to-end"===e&&(o+=" translate"+i+"(-100%)",this._renderedContentOffsetNeedsRewrite=!0),this._renderedContentTransform!=o&&(this._renderedContentTransform=o,this._markChangeDetectionNeeded((function(){r._renderedContentOffsetNeedsRewrite?(r._renderedContentOffset-=r.measureRenderedContentSize(),r._renderedContentOffsetNeedsRewrite=!1,r.setRenderedContentOffset(r._renderedContentOffset)):r._scrollStrategy.onRenderedOffsetChanged()})))},e.prototype.scrollToOffset=function(t,e){void 0===e&&(e="auto");var r={behavior:e};"horizontal"===this.orientation?r.start=t:r.top=t,this.scrollTo(r)},e.prototype.scrollToIndex=function(t,e){void 0===e&&(e="auto"),this._scrollStrategy.scrollToIndex(t,e)},e.prototype.scrollToCell=function(t,e,r){void 0===r&&(r="auto");var n=this._scrollStrategy;n.scrollToCell&&n.scrollToCell(t,e,r)},e.prototype.measureScrollOffset=function(e){return t.prototype.measureScrollOffset.call(this,e||("horizontal"===this.orientation?"start":"top"))},e.prototype.measureRenderedContentSize=function(){var t=this._contentWrapper.nativeElement;return"horizontal"===this.orientation?t.offsetWidth:t.offsetHeight},e.prototype.measureRangeSize=function(t){return this._forOf?this._forOf.measureRangeSize(t,this.orientation):0},e.prototype.getItemKey=function(t){return this._forOf&&this._forOf.getItemKey?this._forOf.getItemKey(t):t},e.prototype.checkViewportSize=function(){this._measureViewportSize(),this._scrollStrategy.onDataLengthChanged()},e.prototype._measureViewportSize=function(){var t=this.elementRef.nativeElement;this._viewportWidth=t.clientWidth,this._viewportSize="horizontal"===this.orientation?this._viewportWidth:t.clientHeight},e.prototype._markChangeDetectionNeeded=function(t){var e=this;t&&this._runAfterChangeDetection.push(t),this._isChangeDetectionPending||(this._isChangeDetectionPending=!0,this.ngZone.runOutsideAngular((function(){return Promise.resolve().then((function(){e._doChangeDetection()}))})))},e.prototype._doChangeDetection=function(){var t,e,r=this;this._isChangeDetectionPending=!1,this._contentWrapper.nativeElement.style.transform=this._renderedColumnContentTransform?(this._renderedContentTransform||"")+" "+this._renderedColumnContentTransform:this._renderedContentTransform,this.ngZone.run((function(){return r._changeDetectorRef.markForCheck()}));var n=this._runAfterChangeDetection;this._runAfterChangeDetection=[];try{for(var i=function o(t){var e="function"==typeof Symbol&&Symbol.iterator,r=e&&t[e],n=0;if(r)return r.call(t);if(t&&"number"==typeof t.length)return{next:function(){return t&&n>=t.length&&(t=void 0),{value:t&&t[n++],done:!t}}};throw new TypeError(e?"Object is not iterable.":"Symbol.iterator is not defined.")}(n),a=i.next();!a.done;a=i.next())(0,a.value)()}catch(e){t={error:e}}finally{try{a&&!a.done&&(e=i.return)&&e.call(i)}finally{if(t)throw t.error}}},e.prototype._calculateSpacerSize=function(){this._totalContentHeight="horizontal"===this.orientation?"":this._totalContentSize+"px",this._totalContentWidth="horizontal"===this.orientation?this._totalContentSize+"px":this._totalColumnContentSize?this._totalColumnContentSize+"px":""},e}(S);function k(t,e,r){if(!r.getBoundingClientRect)return 0;var n=r.getBoundingClientRect();return"horizontal"===t?"start"===e?n.left:n.right:"start"===e?n.top:n.bottom}z.decorators=[{type:r.Component,args:[{selector:"cdk-virtual-scroll-viewport",template:'\x3c!--\n  Wrap the rendered content in an element that will be used to offset it based on the scroll\n  position.\n--\x3e\n<div #contentWrapper class="cdk-virtual-scroll-content-wrapper">\n  <ng-content></ng-content>\n</div>\n\x3c!--\n  Spacer used to force the scrolling container to the correct size for the *total* number of items\n  so that the scrollbar captures the size of the entire data set.\n--\x3e\n<div class="cdk-virtual-scroll-spacer"\n     [style.width]="_totalContentWidth" [style.height]="_totalContentHeight"></div>\n',host:{class:"cdk-virtual-scroll-viewport","[class.cdk-virtual-scroll-orientation-horizontal]":'orientation === "horizontal"',"[class.cdk-virtual-scroll-orientation-vertical]":'orientation !== "horizontal"'},encapsulation:r.ViewEncapsulation.None,changeDetection:r.ChangeDetectionStrategy.OnPush,providers:[{provide:S,useExisting:z}],styles:["cdk-virtual-scroll-viewport{display:block;position:relative;overflow:auto;contain:strict;transform:translateZ(0);will-change:scroll-position;-webkit-overflow-scrolling:touch}.cdk-virtual-scroll-content-wrapper{position:absolute;top:0;left:0;contain:content}[dir=rtl] .cdk-virtual-scroll-content-wrapper{right:0;left:auto}.cdk-virtual-scroll-orientation-horizontal .cdk-virtual-scroll-content-wrapper{min-height:100%}.cdk-virtual-scroll-orientation-horizontal .cdk-virtual-scroll-content-wrapper>dl:not([cdkVirtualFor]),.cdk-virtual-scroll-orientation-horizontal .cdk-virtual-scroll-content-wrapper>ol:not([cdkVirtualFor]),.cdk-virtual-scroll-orientation-horizontal .cdk-virtual-scroll-content-wrapper>table:not([cdkVirtualFor]),.cdk-virtual-scroll-orientation-horizontal .cdk-virtual-scroll-content-wrapper>ul:not([cdkVirtualFor]){padding-left:0;padding-right:0;margin-left:0;margin-right:0;border-left-width:0;border-right-width:0;outline:none}.cdk-virtual-scroll-orientation-vertical .cdk-virtual-scroll-content-wrapper{min-width:100%}.cdk-virtual-scroll-orientation-vertical .cdk-virtual-scroll-content-wrapper>dl:not([cdkVirtualFor]),.cdk-virtual-scroll-orientation-vertical .cdk-virtual-scroll-content-wrapper>ol:not([cdkVirtualFor]),.cdk-virtual-scroll-orientation-vertical .cdk-virtual-scroll-content-wrapper>table:not([cdkVirtualFor]),.cdk-virtual-scroll-orientation-vertical .cdk-virtual-scroll-content-wrapper>ul:not([cdkVirtualFor]){padding-top:0;padding-bottom:0;margin-top:0;margin-bottom:0;border-top-width:0;border-bottom-width:0;outline:none}.cdk-virtual-scroll-spacer{position:absolute;top:0;left:0;height:1px;width:1px;transform-origin:0 0}[dir=rtl] .cdk-virtual-scroll-spacer{right:0;left:auto;transform-origin:100% 0}\n"]}]}],z.ctorParameters=function(){return[{type:r.ElementRef},{type:r.ChangeDetectorRef},{type:r.NgZone},{type:void 0,decorators:[{type:r.Optional},{type:r.Inject,args:[c]}]},{type:s.Directionality,decorators:[{type:r.Optional}]},{type:v},{type:b}]},z.propDecorators={orientation:[{type:r.Input}],scrolledIndexChange:[{type:r.Output}],_contentWrapper:[{type:r.ViewChild,args:["contentWrapper",{static:!0}]}]};var O=function(){function t(t,e,r,o,a,s){var l=this;this._viewContainerRef=t,this._template=e,this._differs=r,this._viewRepeater=o,this._viewport=a,this.viewChange=new n.Subject,this._dataSourceChanges=new n.Subject,this.dataStream=this._dataSourceChanges.pipe(i.startWith(null),i.pairwise(),i.switchMap((function(t){var e=function r(t,e){var r="function"==typeof Symbol&&t[Symbol.iterator];if(!r)return t;var n,i,o=r.call(t),a=[];try{for(;(void 0===e||e-- >0)&&!(n=o.next()).done;)a.push(n.value)}catch(t){i={error:t}}finally{try{n&&!n.done&&(r=o.return)&&r.call(o)}finally{if(i)throw i.error}}return a}(t,2);return l._changeDataSource(e[0],e[1])})),i.shareReplay(1)),this._differ=null,this._needsUpdate=!1,this._destroyed=new n.Subject,this.dataStream.subscribe((function(t){l._data=t,l._onRenderedDataChange()})),this._getRenderedRangeStream().pipe(i.takeUntil(this._destroyed)).subscribe((function(t){l._renderedRange=t,s.run((function(){return l.viewChange.next(l._renderedRange)})),l._onRenderedDataChange()})),this._attachToViewport()}return Object.defineProperty(t.prototype,"cdkVirtualForOf",{get:function(){return this._cdkVirtualForOf},set:function(t){this._cdkVirtualForOf=t,l.isDataSource(t)?this._dataSourceChanges.next(t):this._dataSourceChanges.next(new l.ArrayDataSource(n.isObservable(t)?t:Array.from(t||[])))},enumerable:!1,configurable:!0}),Object.defineProperty(t.prototype,"cdkVirtualForTrackBy",{get:function(){return this._cdkVirtualForTrackBy},set:function(t){var e=this;this._needsUpdate=!0,this._cdkVirtualForTrackBy=t?function(r,n){return t(r+(e._renderedRange?e._renderedRange.start:0),n)}:void 0},enumerable:!1,configurable:!0}),Object.defineProperty(t.prototype,"cdkVirtualForTemplate",{set:function(t){t&&(this._needsUpdate=!0,this._template=t)},enumerable:!1,configurable:!0}),Object.defineProperty(t.prototype,"cdkVirtualForTemplateCacheSize",{get:function(){return this._viewRepeater.viewCacheSize},set:function(t){this._viewRepeater.viewCacheSize=e.coerceNumberProperty(t)},enumerable:!1,configurable:!0}),t.prototype.measureRangeSize=function(t,e){if(t.start>=t.end)return 0;for(var r,n,i=t.start-this._renderedRange.start,o=t.end-t.start,a=0;a<o;a++)if((s=this._viewContainerRef.get(a+i))&&s.rootNodes.length){r=n=s.rootNodes[0];break}for(a=o-1;a>-1;a--){var s;if((s=this._viewContainerRef.get(a+i))&&s.rootNodes.length){n=s.rootNodes[s.rootNodes.length-1];break}}return r&&n?k(e,"end",n)-k(e,"start",r):0},t.prototype.getItemKey=function(t){var e=this._data?this._data[t]:void 0,r=this._cdkVirtualForTrackBy;return r?r(t-(this._renderedRange?this._renderedRange.start:0),e):e},t.prototype.ngDoCheck=function(){if(this._differ&&this._needsUpdate){var t=this._differ.diff(this._renderedItems);t?this._applyChanges(t):this._updateContext(),this._needsUpdate=!1}},t.prototype.ngOnDestroy=function(){this._detachFromViewport(),this._dataSourceChanges.next(void 0),this._dataSourceChanges.complete(),this.viewChange.complete(),this._destroyed.next(),this._destroyed.complete(),this._viewRepeater.detach()},t.prototype._getRenderedRangeStream=function(){return this._viewport.renderedRangeStream},t.prototype._attachToViewport=function(){this._viewport.attach(this)},t.prototype._detachFromViewport=function(){this._viewport.detach()},t.prototype._onRenderedDataChange=function(){var t=this;this._renderedRange&&(this._renderedItems=this._data.slice(this._renderedRange.start,this._renderedRange.end),this._differ||(this._differ=this._differs.find(this._renderedItems).create((function(e,r){return t.cdkVirtualForTrackBy?t.cdkVirtualForTrackBy(e,r):r}))),this._needsUpdate=!0)},t.prototype._changeDataSource=function(t,e){return t&&t.disconnect(this),this._needsUpdate=!0,e?e.connect(this):n.of()},t.prototype._updateContext=function(){for(var t=this._data.length,e=this._viewContainerRef.length;e--;){var r=this._viewContainerRef.get(e);r.context.index=this._renderedRange.start+e,r.context.count=t,this._updateComputedContextProperties(r.context),r.detectChanges()}},t.prototype._applyChanges=function(t){var e=this;this._viewRepeater.applyChanges(t,this._viewContainerRef,(function(t,r,n){return e._getEmbeddedViewArgs(t,n)}),(function(t){return t.item})),t.forEachIdentityChange((function(t){e._viewContainerRef.get(t.currentIndex).context.$implicit=t.item}));for(var r=this._data.length,n=this._viewContainerRef.length;n--;){var i=this._viewContainerRef.get(n);i.context.index=this._renderedRange.start+n,i.context.count=r,this._updateComputedContextProperties(i.context)}},t.prototype._updateComputedContextProperties=function(t){t.first=0===t.index,t.last=t.index===t.count-1,t.even=t.index%2==0,t.odd=!t.even},t.prototype._getEmbeddedViewArgs=function(t,e){return{templateRef:this._template,context:{$implicit:t.item,cdkVirtualForOf:this._cdkVirtualForOf,index:-1,count:-1,first:!1,last:!1,odd:!1,even:!1},index:e}},t}();O.decorators=[{type:r.Directive,args:[{selector:"[cdkVirtualFor][cdkVirtualForOf]",providers:[{provide:l._VIEW_REPEATER_STRATEGY,useClass:l._RecycleViewRepeaterStrategy}]}]}],O.ctorParameters=function(){return[{type:r.ViewContainerRef},{type:r.TemplateRef},{type:r.IterableDiffers},{type:l._RecycleViewRepeaterStrategy,decorators:[{type:r.Inject,args:[l._VIEW_REPEATER_STRATEGY]}]},{type:z,decorators:[{type:r.SkipSelf}]},{type:r.NgZone}]},O.propDecorators={cdkVirtualForOf:[{type:r.Input}],cdkVirtualForTrackBy:[{type:r.Input}],cdkVirtualForTemplate:[{type:r.Input}],cdkVirtualForTemplateCacheSize:[{type:r.Input}]};var P,T,B=function(t){function e(){return null!==t&&t.apply(this,arguments)||this}return w(e,t),Object.defineProperty(e.prototype,"cdkVirtualColumnForOf",{get:function(){return this.cdkVirtualForOf},set:function(t){this.cdkVirtualForOf=t},enumerable:!1,configurable:!0}),Object.defineProperty(e.prototype,"cdkVirtualColumnForTrackBy",{get:function(){return this.cdkVirtualForTrackBy},set:function(t){this.cdkVirtualForTrackBy=t},enumerable:!1,configurable:!0}),Object.defineProperty(e.prototype,"cdkVirtualColumnForTemplate",{set:function(t){this.cdkVirtualForTemplate=t},enumerable:!1,configurable:!0}),Object.defineProperty(e.prototype,"cdkVirtualColumnForTemplateCacheSize",{get:function(){return this.cdkVirtualForTemplateCacheSize},set:function(t){this.cdkVirtualForTemplateCacheSize=t},enumerable:!1,configurable:!0}),e.prototype._getRenderedRangeStream=function(){return this._viewport.renderedColumnRangeStream.pipe(i.startWith(this._viewport.getRenderedColumnRange()))},e.prototype._attachToViewport=function(){},e.prototype._detachFromViewport=function(){},e}(O);B.decorators=[{type:r.Directive,args:[{selector:"[cdkVirtualColumnFor][cdkVirtualColumnForOf]",providers:[{provide:l._VIEW_REPEATER_STRATEGY,useClass:l._RecycleViewRepeaterStrategy}]}]}],B.propDecorators={cdkVirtualColumnForOf:[{type:r.Input}],cdkVirtualColumnForTrackBy:[{type:r.Input}],cdkVirtualColumnForTemplate:[{type:r.Input}],cdkVirtualColumnForTemplateCacheSize:[{type:r.Input}]},(P=function P(){}).decorators=[{type:r.NgModule,args:[{exports:[S],declarations:[S]}]}],(T=function T(){}).decorators=[{type:r.NgModule,args:[{imports:[s.BidiModule,o.PlatformModule,P],exports:[s.BidiModule,P,h,y,_,B,O,z],declarations:[h,y,_,B,O,z]}]}],
 /**
      * @license
      * Copyright Google LLC All Rights Reserved.
@@ -51,4 +75,4 @@ var g=function(t,e){return(g=Object.setPrototypeOf||{__proto__:[]}instanceof Arr
      * Use of this source code is governed by an MIT-style license that can be
      * found in the LICENSE file at https://angular.io/license
      */
-t.CdkFixedSizeVirtualScroll=h,t.CdkScrollable=f,t.CdkScrollableModule=S,t.CdkVirtualForOf=b,t.CdkVirtualScrollViewport=y,t.DEFAULT_RESIZE_TIME=20,t.DEFAULT_SCROLL_TIME=20,t.FixedSizeVirtualScrollStrategy=d,t.ScrollDispatcher=p,t.ScrollingModule=w,t.VIRTUAL_SCROLL_STRATEGY=c,t.ViewportRuler=_,t._fixedSizeVirtualScrollStrategyFactory=u,Object.defineProperty(t,"__esModule",{value:!0})}));
\ No newline at end of file
+t.AutoSizeVirtualScrollStrategy=u,t.CdkAutoSizeVirtualScroll=h,t.CdkFixedSizeVirtualGrid=y,t.CdkFixedSizeVirtualScroll=_,t.CdkScrollable=S,t.CdkScrollableModule=P,t.CdkVirtualColumnForOf=B,t.CdkVirtualForOf=O,t.CdkVirtualScrollViewport=z,t.DEFAULT_RESIZE_TIME=20,t.DEFAULT_SCROLL_TIME=20,t.FixedSizeVirtualGridStrategy=g,t.FixedSizeVirtualScrollStrategy=p,t.ScrollDispatcher=v,t.ScrollingModule=T,t.VIRTUAL_SCROLL_STRATEGY=c,t.ViewportRuler=b,t._autoSizeVirtualScrollStrategyFactory=d,t._fixedSizeVirtualGridStrategyFactory=m,t._fixedSizeVirtualScrollStrategyFactory=f,Object.defineProperty(t,"__esModule",{value:!0})}));
\ No newline at end of file
@@ -372,6 +372,13 @@
     var CDK_TABLE = new core.InjectionToken('CDK_TABLE');
     /** Injection token that can be used to specify the text column options. */
     var TEXT_COLUMN_OPTIONS = new core.InjectionToken('text-column-options');
+    /**
+     * Injection token that can be used by a resizable element, like `CdkResizable` from
+     * `@angular/cdk/drag-drop`, to provide itself to the header cell that it is placed on, so that
+     * the width of the entire column is changed along with it. Used to avoid a dependency from the
+     * table on the packages that can resize its cells.
+     */
+    var CDK_TABLE_RESIZABLE = new core.InjectionToken('CDK_TABLE_RESIZABLE');
 
     /**
      * Cell definition for a CDK table.
@@ -439,6 +446,12 @@
             var _this = _super.call(this) || this;
             _this._table = _table;
             _this._stickyEnd = false;
+            _this._width = null;
+            /**
+             * Emits when the width of the column changes.
+             * @docs-private
+             */
+            _this._widthChanges = new rxjs.Subject();
             return _this;
         }
         Object.defineProperty(CdkColumnDef.prototype, "name", {
@@ -465,6 +478,25 @@
             enumerable: false,
             configurable: true
         });
+        Object.defineProperty(CdkColumnDef.prototype, "width", {
+            /**
+             * Width of the column in pixels. Gets applied to all of the column's cells, so whether it
+             * includes their padding and borders depends on their `box-sizing`. Useful for columns whose
+             * width can be changed by the user, e.g. through `cdkResizable`.
+             */
+            get: function () {
+                return this._width;
+            },
+            set: function (value) {
+                var width = value == null ? null : coercion.coerceNumberProperty(value);
+                if (width !== this._width) {
+                    this._width = width;
+                    this._widthChanges.next(width);
+                }
+            },
+            enumerable: false,
+            configurable: true
+        });
         /**
          * Overridable method that sets the css classes that will be added to every cell in this
          * column.
@@ -505,11 +537,15 @@
     CdkColumnDef.propDecorators = {
         name: [{ type: core.Input, args: ['cdkColumnDef',] }],
         stickyEnd: [{ type: core.Input, args: ['stickyEnd',] }],
+        width: [{ type: core.Input, args: ['cdkColumnDefWidth',] }],
         cell: [{ type: core.ContentChild, args: [CdkCellDef,] }],
         headerCell: [{ type: core.ContentChild, args: [CdkHeaderCellDef,] }],
         footerCell: [{ type: core.ContentChild, args: [CdkFooterCellDef,] }]
     };
-    /** Base class for the cells. Adds a CSS classname that identifies the column it renders in. */
+    /**
+     * Base class for the cells. Adds a CSS classname that identifies the column it renders in
+     * and keeps the cell's width in sync with the width of the column.
+     */
     var BaseCdkCell = /** @class */ (function () {
         function BaseCdkCell(columnDef, elementRef) {
             var e_1, _a;
@@ -529,15 +565,60 @@
                 }
                 finally { if (e_1) throw e_1.error; }
             }
+            // The width is set through `min-width` and `max-width` as well, so that it also applies to
+            // cells that are laid out using flexbox. The styles are left alone until a width is set and
+            // are restored to whatever they were before, if the width is cleared later on.
+            var style = elementRef.nativeElement.style;
+            var initialStyles = null;
+            this._widthSubscription = columnDef._widthChanges.pipe(operators.startWith(columnDef.width))
+                .subscribe(function (width) {
+                if (width != null) {
+                    initialStyles = initialStyles ||
+                        { width: style.width, minWidth: style.minWidth, maxWidth: style.maxWidth };
+                    style.width = style.minWidth = style.maxWidth = width + "px";
+                }
+                else if (initialStyles) {
+                    style.width = initialStyles.width;
+                    style.minWidth = initialStyles.minWidth;
+                    style.maxWidth = initialStyles.maxWidth;
+                    initialStyles = null;
+                }
+            });
         }
+        BaseCdkCell.prototype.ngOnDestroy = function () {
+            this._widthSubscription.unsubscribe();
+        };
         return BaseCdkCell;
     }());
     /** Header cell template container that adds the right classes and role. */
     var CdkHeaderCell = /** @class */ (function (_super) {
         __extends(CdkHeaderCell, _super);
-        function CdkHeaderCell(columnDef, elementRef) {
-            return _super.call(this, columnDef, elementRef) || this;
+        function CdkHeaderCell(columnDef, elementRef, resizable) {
+            var _this = _super.call(this, columnDef, elementRef) || this;
+            /** Subscription to the resize events of the cell. */
+            _this._resizeSubscription = rxjs.Subscription.EMPTY;
+            // Only header cells are supported, in order to avoid resizing
+            // the entire column when a resizable element is inside one of its cells.
+            if (resizable) {
+                _this._resizeSubscription = resizable.resized.subscribe(function () {
+                    // Use the width that was applied to the cell, rather than the measured one, so that the
+                    // rest of the cells end up with the same width, regardless of their `box-sizing`.
+                    var width = parseFloat(elementRef.nativeElement.style.width);
+                    if (!isNaN(width)) {
+                        columnDef.width = width;
+                        // Sticky columns are positioned based on the widths of the columns before them.
+                        if (columnDef._table) {
+                            columnDef._table.updateStickyColumnStyles();
+                        }
+                    }
+                });
+            }
+            return _this;
         }
+        CdkHeaderCell.prototype.ngOnDestroy = function () {
+            _super.prototype.ngOnDestroy.call(this);
+            this._resizeSubscription.unsubscribe();
+        };
         return CdkHeaderCell;
     }(BaseCdkCell));
     CdkHeaderCell.decorators = [
@@ -551,7 +632,8 @@
     ];
     CdkHeaderCell.ctorParameters = function () { return [
         { type: CdkColumnDef },
-        { type: core.ElementRef }
+        { type: core.ElementRef },
+        { type: undefined, decorators: [{ type: core.Optional }, { type: core.Self }, { type: core.Inject, args: [CDK_TABLE_RESIZABLE,] }] }
     ]; };
     /** Footer cell template container that adds the right classes and role. */
     var CdkFooterCell = /** @class */ (function (_super) {
@@ -1441,6 +1523,14 @@
     function getTableTextColumnMissingNameError() {
         return Error("Table text column must have a name.");
     }
+    /**
+     * Returns an error to be thrown when the virtual scroll viewport attempts to measure rows of
+     * a table that aren't currently rendered.
+     * @docs-private
+     */
+    function getTableUnrenderedRowMeasureError() {
+        return Error("Attempted to measure a table row that isn't rendered.");
+    }
 
     /**
      * @license
@@ -1469,6 +1559,30 @@
                     ],
                 },] }
     ];
+    /**
+     * Injection token used to provide the virtual scroll viewport in which a table should only render
+     * the rows that are in view.
+     * @docs-private
+     */
+    var _TABLE_VIRTUAL_SCROLL_VIEWPORT = new core.InjectionToken('_TABLE_VIRTUAL_SCROLL_VIEWPORT');
+    /**
+     * Enables virtual scrolling for a table that is placed inside of a `cdk-virtual-scroll-viewport`.
+     * Only the rows within the viewport's rendered range will be rendered. Can be combined with
+     * `recycleRows` to re-use the rows that are scrolled out of view.
+     */
+    var CdkTableVirtualScroll = /** @class */ (function () {
+        function CdkTableVirtualScroll() {
+        }
+        return CdkTableVirtualScroll;
+    }());
+    CdkTableVirtualScroll.decorators = [
+        { type: core.Directive, args: [{
+                    selector: 'cdk-table[virtualScroll], table[cdk-table][virtualScroll]',
+                    providers: [
+                        { provide: _TABLE_VIRTUAL_SCROLL_VIEWPORT, useExisting: scrolling.CdkVirtualScrollViewport },
+                    ],
+                },] }
+    ];
     /**
      * Provides a handle for the table to grab the view container's ng-container to insert data rows.
      * @docs-private
@@ -1574,7 +1688,12 @@
          * @deprecated `_stickyPositioningListener` parameter to become required.
          * @breaking-change 13.0.0
          */
-        _stickyPositioningListener) {
+        _stickyPositioningListener, 
+        /**
+         * @deprecated `_ngZone` parameter to become required.
+         * @breaking-change 14.0.0
+         */
+        _ngZone, _virtualScrollViewport) {
             this._differs = _differs;
             this._changeDetectorRef = _changeDetectorRef;
             this._elementRef = _elementRef;
@@ -1584,8 +1703,20 @@
             this._coalescedStyleScheduler = _coalescedStyleScheduler;
             this._viewportRuler = _viewportRuler;
             this._stickyPositioningListener = _stickyPositioningListener;
+            this._ngZone = _ngZone;
+            this._virtualScrollViewport = _virtualScrollViewport;
             /** Subject that emits when the component has been destroyed. */
             this._onDestroy = new rxjs.Subject();
+            /**
+             * List of all the rows for the table's data as identified by their `RenderRow` object. Only
+             * differs from `_renderRows` when virtual scrolling, in which case the rows outside of the
+             * viewport's rendered range aren't rendered.
+             */
+            this._allRenderRows = [];
+            /** Range of render rows that should be rendered. Only set when virtual scrolling. */
+            this._renderedRange = null;
+            /** Emits the list of all render rows to the virtual scroll viewport. */
+            this._virtualScrollDataStream = new rxjs.Subject();
             /**
              * Map of all the user's defined columns (header, data, and footer cell template) identified by
              * name. Collection populated by the column definitions gathered by `ContentChildren` as well as
@@ -1786,6 +1917,9 @@
             this._viewportRuler.change().pipe(operators.takeUntil(this._onDestroy)).subscribe(function () {
                 _this._forceRecalculateCellWidths = true;
             });
+            if (this._virtualScrollViewport) {
+                this._setupVirtualScrolling(this._virtualScrollViewport);
+            }
         };
         CdkTable.prototype.ngAfterContentChecked = function () {
             // Cache the row and column definitions gathered by ContentChildren and programmatic injection.
@@ -1830,6 +1964,10 @@
             this._headerRowOutlet.viewContainer.clear();
             this._footerRowOutlet.viewContainer.clear();
             this._cachedRenderRowsMap.clear();
+            if (this._virtualScrollViewport) {
+                this._virtualScrollViewport.detach();
+            }
+            this._virtualScrollDataStream.complete();
             this._onDestroy.next();
             this._onDestroy.complete();
             if (collections.isDataSource(this.dataSource)) {
@@ -1847,29 +1985,12 @@
          * an array, this function will need to be called to render any changes.
          */
         CdkTable.prototype.renderRows = function () {
-            var _this = this;
-            this._renderRows = this._getAllRenderRows();
-            var changes = this._dataDiffer.diff(this._renderRows);
-            if (!changes) {
-                this._updateNoDataRow();
-                return;
+            this._allRenderRows = this._getAllRenderRows();
+            // Let the viewport know about the new set of rows so that it can recalculate its range.
+            if (this._virtualScrollViewport) {
+                this._virtualScrollDataStream.next(this._allRenderRows);
             }
-            var viewContainer = this._rowOutlet.viewContainer;
-            this._viewRepeater.applyChanges(changes, viewContainer, function (record, _adjustedPreviousIndex, currentIndex) { return _this._getEmbeddedViewArgs(record.item, currentIndex); }, function (record) { return record.item.data; }, function (change) {
-                if (change.operation === 1 /* INSERTED */ && change.context) {
-                    _this._renderCellTemplateForItem(change.record.item.rowDef, change.context);
-                }
-            });
-            // Update the meta context of a row's context data (index, count, first, last, ...)
-            this._updateRowIndexContext();
-            // Update rows that did not get added/removed/moved but may have had their identity changed,
-            // e.g. if trackBy matched data on some property but the actual data reference changed.
-            changes.forEachIdentityChange(function (record) {
-                var rowView = viewContainer.get(record.currentIndex);
-                rowView.context.$implicit = record.item.data;
-            });
-            this._updateNoDataRow();
-            this.updateStickyColumnStyles();
+            this._renderRowsInRange();
         };
         /** Adds a column definition that was not included as part of the content children. */
         CdkTable.prototype.addColumnDef = function (columnDef) {
@@ -2003,6 +2124,98 @@
             // Reset the dirty state of the sticky input change since it has been used.
             Array.from(this._columnDefsByName.values()).forEach(function (def) { return def.resetStickyChanged(); });
         };
+        /**
+         * Renders the rows within the current rendered range. If the table isn't virtual scrolling,
+         * all of the rows are rendered. Checks for differences since the last render to perform only
+         * the necessary changes (add/remove/move rows).
+         */
+        CdkTable.prototype._renderRowsInRange = function () {
+            var _this = this;
+            var range = this._renderedRange;
+            this._renderRows =
+                range ? this._allRenderRows.slice(range.start, range.end) : this._allRenderRows;
+            var changes = this._dataDiffer.diff(this._renderRows);
+            if (!changes) {
+                this._updateNoDataRow();
+                return;
+            }
+            var viewContainer = this._rowOutlet.viewContainer;
+            this._viewRepeater.applyChanges(changes, viewContainer, function (record, _adjustedPreviousIndex, currentIndex) { return _this._getEmbeddedViewArgs(record.item, currentIndex); }, function (record) { return record.item.data; }, function (change) {
+                if (change.operation === 1 /* INSERTED */ && change.context) {
+                    _this._renderCellTemplateForItem(change.record.item.rowDef, change.context);
+                }
+            });
+            // Update the meta context of a row's context data (index, count, first, last, ...)
+            this._updateRowIndexContext();
+            // Update rows that did not get added/removed/moved but may have had their identity changed,
+            // e.g. if trackBy matched data on some property but the actual data reference changed.
+            changes.forEachIdentityChange(function (record) {
+                var rowView = viewContainer.get(record.currentIndex);
+                rowView.context.$implicit = record.item.data;
+            });
+            this._updateNoDataRow();
+            this.updateStickyColumnStyles();
+        };
+        /**
+         * Connects the table to a virtual scroll viewport so that only the rows within the viewport's
+         * rendered range are rendered.
+         */
+        CdkTable.prototype._setupVirtualScrolling = function (viewport) {
+            var _this = this;
+            this._renderedRange = viewport.getRenderedRange();
+            // The viewport emits its rendered range outside of the NgZone.
+            viewport.renderedRangeStream.pipe(operators.takeUntil(this._onDestroy)).subscribe(function (range) {
+                var update = function () {
+                    _this._renderedRange = range;
+                    _this.viewChange.next(_this._getDataRange(range));
+                    // If the rows haven't been rendered yet, the range will be picked up on the first render.
+                    if (_this._renderRows) {
+                        _this._renderRowsInRange();
+                    }
+                };
+                _this._ngZone ? _this._ngZone.run(update) : update();
+            });
+            viewport.attach({
+                dataStream: this._virtualScrollDataStream,
+                measureRangeSize: function (range, orientation) { return _this._measureRenderedRowsSize(range, orientation); },
+                getItemKey: function (index) { return _this._allRenderRows[index]; },
+            });
+        };
+        /**
+         * Measures the combined size (width for horizontal orientation, height for vertical) of the
+         * rendered rows within the specified range of render rows. Used by the virtual scroll viewport.
+         */
+        CdkTable.prototype._measureRenderedRowsSize = function (range, orientation) {
+            var renderedRange = this._renderedRange;
+            if (!renderedRange || range.start >= range.end) {
+                return 0;
+            }
+            if ((range.start < renderedRange.start || range.end > renderedRange.end) &&
+                (typeof ngDevMode === 'undefined' || ngDevMode)) {
+                throw getTableUnrenderedRowMeasureError();
+            }
+            var rows = this._getRenderedRows(this._rowOutlet);
+            var firstRow = rows[range.start - renderedRange.start];
+            var lastRow = rows[range.end - renderedRange.start - 1];
+            if (!firstRow || !lastRow) {
+                return 0;
+            }
+            var firstRect = firstRow.getBoundingClientRect();
+            var lastRect = lastRow.getBoundingClientRect();
+            return orientation === 'horizontal' ?
+                lastRect.right - firstRect.left : lastRect.bottom - firstRect.top;
+        };
+        /**
+         * Converts a range of render rows into the range of data objects that they represent. The two
+         * only differ if multiple rows can be rendered for the same data object.
+         */
+        CdkTable.prototype._getDataRange = function (range) {
+            var rows = this._allRenderRows;
+            if (!this.multiTemplateDataRows || range.start >= range.end || range.end > rows.length) {
+                return range;
+            }
+            return { start: rows[range.start].dataIndex, end: rows[range.end - 1].dataIndex + 1 };
+        };
         /**
          * Get the list of RenderRow objects to render according to the current list of data and defined
          * row definitions. If the previous list already contained a particular pair, it should be reused
@@ -2273,20 +2486,25 @@
          */
         CdkTable.prototype._updateRowIndexContext = function () {
             var viewContainer = this._rowOutlet.viewContainer;
-            for (var renderIndex = 0, count = viewContainer.length; renderIndex < count; renderIndex++) {
-                var viewRef = viewContainer.get(renderIndex);
+            // When virtual scrolling, only a subset of the rows is rendered so the
+            // context has to reflect their position within the list of all rows.
+            var renderIndexOffset = this._renderedRange ? this._renderedRange.start : 0;
+            var count = this._renderedRange ? this._allRenderRows.length : viewContainer.length;
+            for (var i = 0; i < viewContainer.length; i++) {
+                var viewRef = viewContainer.get(i);
                 var context = viewRef.context;
+                var renderIndex = renderIndexOffset + i;
                 context.count = count;
                 context.first = renderIndex === 0;
                 context.last = renderIndex === count - 1;
                 context.even = renderIndex % 2 === 0;
                 context.odd = !context.even;
                 if (this.multiTemplateDataRows) {
-                    context.dataIndex = this._renderRows[renderIndex].dataIndex;
+                    context.dataIndex = this._renderRows[i].dataIndex;
                     context.renderIndex = renderIndex;
                 }
                 else {
-                    context.index = this._renderRows[renderIndex].dataIndex;
+                    context.index = this._renderRows[i].dataIndex;
                 }
             }
         };
@@ -2402,7 +2620,9 @@
         CdkTable.prototype._updateNoDataRow = function () {
             var noDataRow = this._customNoDataRow || this._noDataRow;
             if (noDataRow) {
-                var shouldShow = this._rowOutlet.viewContainer.length === 0;
+                // When virtual scrolling, the outlet may be empty while the rendered range is being updated.
+                var shouldShow = this._renderedRange ?
+                    this._allRenderRows.length === 0 : this._rowOutlet.viewContainer.length === 0;
                 if (shouldShow !== this._isShowingNoDataRow) {
                     var container = this._noDataRowOutlet.viewContainer;
                     shouldShow ? container.createEmbeddedView(noDataRow.templateRef) : container.clear();
@@ -2448,7 +2668,9 @@
         { type: undefined, decorators: [{ type: core.Inject, args: [collections._VIEW_REPEATER_STRATEGY,] }] },
         { type: _CoalescedStyleScheduler, decorators: [{ type: core.Inject, args: [_COALESCED_STYLE_SCHEDULER,] }] },
         { type: scrolling.ViewportRuler },
-        { type: undefined, decorators: [{ type: core.Optional }, { type: core.SkipSelf }, { type: core.Inject, args: [STICKY_POSITIONING_LISTENER,] }] }
+        { type: undefined, decorators: [{ type: core.Optional }, { type: core.SkipSelf }, { type: core.Inject, args: [STICKY_POSITIONING_LISTENER,] }] },
+        { type: core.NgZone, decorators: [{ type: core.Optional }] },
+        { type: scrolling.CdkVirtualScrollViewport, decorators: [{ type: core.Optional }, { type: core.Self }, { type: core.Inject, args: [_TABLE_VIRTUAL_SCROLL_VIEWPORT,] }] }
     ]; };
     CdkTable.propDecorators = {
         trackBy: [{ type: core.Input }],
@@ -2621,6 +2843,7 @@
         CdkTextColumn,
         CdkNoDataRow,
         CdkRecycleRows,
+        CdkTableVirtualScroll,
         NoDataRowOutlet,
     ];
     var CdkTableModule = /** @class */ (function () {
@@ -2658,6 +2881,7 @@
     exports.BaseRowDef = BaseRowDef;
     exports.CDK_ROW_TEMPLATE = CDK_ROW_TEMPLATE;
     exports.CDK_TABLE = CDK_TABLE;
+    exports.CDK_TABLE_RESIZABLE = CDK_TABLE_RESIZABLE;
     exports.CDK_TABLE_TEMPLATE = CDK_TABLE_TEMPLATE;
     exports.CdkCell = CdkCell;
     exports.CdkCellDef = CdkCellDef;
@@ -2677,6 +2901,7 @@
     exports.CdkRowDef = CdkRowDef;
     exports.CdkTable = CdkTable;
     exports.CdkTableModule = CdkTableModule;
+    exports.CdkTableVirtualScroll = CdkTableVirtualScroll;
     exports.CdkTextColumn = CdkTextColumn;
     exports.DataRowOutlet = DataRowOutlet;
     exports.FooterRowOutlet = FooterRowOutlet;
@@ -2689,6 +2914,7 @@
     exports._COALESCED_STYLE_SCHEDULER = _COALESCED_STYLE_SCHEDULER;
     exports._CoalescedStyleScheduler = _CoalescedStyleScheduler;
     exports._Schedule = _Schedule;
+    exports._TABLE_VIRTUAL_SCROLL_VIEWPORT = _TABLE_VIRTUAL_SCROLL_VIEWPORT;
     exports.mixinHasStickyInput = mixinHasStickyInput;
 
     Object.defineProperty(exports, '__esModule', { value: true });
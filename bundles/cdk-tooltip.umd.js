@@ -0,0 +1,1265 @@
+(function (global, factory) {
+    typeof exports === 'object' && typeof module !== 'undefined' ? factory(exports, require('@angular/cdk/overlay'), require('@angular/core'), require('@angular/cdk/a11y'), require('@angular/cdk/bidi'), require('@angular/cdk/coercion'), require('@angular/cdk/keycodes'), require('@angular/cdk/platform'), require('rxjs'), require('rxjs/operators'), require('@angular/cdk/portal'), require('@angular/common')) :
+    typeof define === 'function' && define.amd ? define('@angular/cdk/tooltip', ['exports', '@angular/cdk/overlay', '@angular/core', '@angular/cdk/a11y', '@angular/cdk/bidi', '@angular/cdk/coercion', '@angular/cdk/keycodes', '@angular/cdk/platform', 'rxjs', 'rxjs/operators', '@angular/cdk/portal', '@angular/common'], factory) :
+    (global = global || self, factory((global.ng = global.ng || {}, global.ng.cdk = global.ng.cdk || {}, global.ng.cdk.tooltip = {}), global.ng.cdk.overlay, global.ng.core, global.ng.cdk.a11y, global.ng.cdk.bidi, global.ng.cdk.coercion, global.ng.cdk.keycodes, global.ng.cdk.platform, global.rxjs, global.rxjs.operators, global.ng.cdk.portal, global.ng.common));
+}(this, (function (exports, overlay, core, a11y, bidi, coercion, keycodes, platform, rxjs, operators, portal, common) { 'use strict';
+
+    /**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+    /** Injection token that can be used to configure the defaults of tooltips and popovers. */
+    var CDK_TOOLTIP_DEFAULT_OPTIONS = new core.InjectionToken('CDK_TOOLTIP_DEFAULT_OPTIONS');
+    /** Options that are used when none were provided through `CDK_TOOLTIP_DEFAULT_OPTIONS`. */
+    var CDK_TOOLTIP_BASE_DEFAULT_OPTIONS = {
+        showDelay: 0,
+        hideDelay: 0,
+        touchLongPressShowDelay: 500,
+        touchendHideDelay: 1500,
+        hoverIntentSensitivity: 7,
+        hoverIntentInterval: 100,
+        position: 'below',
+    };
+    /** Injection token that determines the scroll handling while a tooltip or popover is shown. */
+    var CDK_TOOLTIP_SCROLL_STRATEGY = new core.InjectionToken('cdk-tooltip-scroll-strategy');
+    /** @docs-private */
+    function CDK_TOOLTIP_SCROLL_STRATEGY_PROVIDER_FACTORY(overlay) {
+        return function () { return overlay.scrollStrategies.reposition({ scrollThrottle: 20 }); };
+    }
+    /** @docs-private */
+    var CDK_TOOLTIP_SCROLL_STRATEGY_PROVIDER = {
+        provide: CDK_TOOLTIP_SCROLL_STRATEGY,
+        deps: [overlay.Overlay],
+        useFactory: CDK_TOOLTIP_SCROLL_STRATEGY_PROVIDER_FACTORY,
+    };
+    /** Connection points of the panel for each of the direction-independent placements. */
+    var CONNECTED_POSITIONS = {
+        above: { originX: 'center', originY: 'top', overlayX: 'center', overlayY: 'bottom' },
+        below: { originX: 'center', originY: 'bottom', overlayX: 'center', overlayY: 'top' },
+        before: { originX: 'start', originY: 'center', overlayX: 'end', overlayY: 'center' },
+        after: { originX: 'end', originY: 'center', overlayX: 'start', overlayY: 'center' },
+    };
+    /**
+     * Gets the positions in which a panel can be placed, in order of preference. The preferred
+     * placement is followed by the opposite side of the trigger and then by the two remaining sides,
+     * so that the position strategy can fall back to them if the panel doesn't fit.
+     * @param position Preferred placement of the panel.
+     * @param isRtl Whether the trigger is in a right-to-left context.
+     */
+    function getTooltipConnectedPositions(position, isRtl) {
+        var placement;
+        if (position === 'left') {
+            placement = isRtl ? 'after' : 'before';
+        }
+        else if (position === 'right') {
+            placement = isRtl ? 'before' : 'after';
+        }
+        else {
+            placement = position;
+        }
+        var order = placement === 'above' ? ['above', 'below', 'after', 'before'] :
+            placement === 'below' ? ['below', 'above', 'after', 'before'] :
+                placement === 'before' ? ['before', 'after', 'below', 'above'] :
+                    ['after', 'before', 'below', 'above'];
+        return order.map(function (current) { return CONNECTED_POSITIONS[current]; });
+    }
+
+    /*! *****************************************************************************
+    Copyright (c) Microsoft Corporation.
+
+    Permission to use, copy, modify, and/or distribute this software for any
+    purpose with or without fee is hereby granted.
+
+    THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES WITH
+    REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF MERCHANTABILITY
+    AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY SPECIAL, DIRECT,
+    INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES WHATSOEVER RESULTING FROM
+    LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION OF CONTRACT, NEGLIGENCE OR
+    OTHER TORTIOUS ACTION, ARISING OUT OF OR IN CONNECTION WITH THE USE OR
+    PERFORMANCE OF THIS SOFTWARE.
+    ***************************************************************************** */
+    /* global Reflect, Promise */
+    var extendStatics = function (d, b) {
+        extendStatics = Object.setPrototypeOf ||
+            ({ __proto__: [] } instanceof Array && function (d, b) { d.__proto__ = b; }) ||
+            function (d, b) { for (var p in b)
+                if (Object.prototype.hasOwnProperty.call(b, p))
+                    d[p] = b[p]; };
+        return extendStatics(d, b);
+    };
+    function __extends(d, b) {
+        if (typeof b !== "function" && b !== null)
+            throw new TypeError("Class extends value " + String(b) + " is not a constructor or null");
+        extendStatics(d, b);
+        function __() { this.constructor = d; }
+        d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
+    }
+    var __assign = function () {
+        __assign = Object.assign || function __assign(t) {
+            for (var s, i = 1, n = arguments.length; i < n; i++) {
+                s = arguments[i];
+                for (var p in s)
+                    if (Object.prototype.hasOwnProperty.call(s, p))
+                        t[p] = s[p];
+            }
+            return t;
+        };
+        return __assign.apply(this, arguments);
+    };
+    function __rest(s, e) {
+        var t = {};
+        for (var p in s)
+            if (Object.prototype.hasOwnProperty.call(s, p) && e.indexOf(p) < 0)
+                t[p] = s[p];
+        if (s != null && typeof Object.getOwnPropertySymbols === "function")
+            for (var i = 0, p = Object.getOwnPropertySymbols(s); i < p.length; i++) {
+                if (e.indexOf(p[i]) < 0 && Object.prototype.propertyIsEnumerable.call(s, p[i]))
+                    t[p[i]] = s[p[i]];
+            }
+        return t;
+    }
+    function __decorate(decorators, target, key, desc) {
+        var c = arguments.length, r = c < 3 ? target : desc === null ? desc = Object.getOwnPropertyDescriptor(target, key) : desc, d;
+        if (typeof Reflect === "object" && typeof Reflect.decorate === "function")
+            r = Reflect.decorate(decorators, target, key, desc);
+        else
+            for (var i = decorators.length - 1; i >= 0; i--)
+                if (d = decorators[i])
+                    r = (c < 3 ? d(r) : c > 3 ? d(target, key, r) : d(target, key)) || r;
+        return c > 3 && r && Object.defineProperty(target, key, r), r;
+    }
+    function __param(paramIndex, decorator) {
+        return function (target, key) { decorator(target, key, paramIndex); };
+    }
+    function __metadata(metadataKey, metadataValue) {
+        if (typeof Reflect === "object" && typeof Reflect.metadata === "function")
+            return Reflect.metadata(metadataKey, metadataValue);
+    }
+    function __awaiter(thisArg, _arguments, P, generator) {
+        function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+        return new (P || (P = Promise))(function (resolve, reject) {
+            function fulfilled(value) { try {
+                step(generator.next(value));
+            }
+            catch (e) {
+                reject(e);
+            } }
+            function rejected(value) { try {
+                step(generator["throw"](value));
+            }
+            catch (e) {
+                reject(e);
+            } }
+            function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+            step((generator = generator.apply(thisArg, _arguments || [])).next());
+        });
+    }
+    function __generator(thisArg, body) {
+        var _ = { label: 0, sent: function () { if (t[0] & 1)
+                throw t[1]; return t[1]; }, trys: [], ops: [] }, f, y, t, g;
+        return g = { next: verb(0), "throw": verb(1), "return": verb(2) }, typeof Symbol === "function" && (g[Symbol.iterator] = function () { return this; }), g;
+        function verb(n) { return function (v) { return step([n, v]); }; }
+        function step(op) {
+            if (f)
+                throw new TypeError("Generator is already executing.");
+            while (_)
+                try {
+                    if (f = 1, y && (t = op[0] & 2 ? y["return"] : op[0] ? y["throw"] || ((t = y["return"]) && t.call(y), 0) : y.next) && !(t = t.call(y, op[1])).done)
+                        return t;
+                    if (y = 0, t)
+                        op = [op[0] & 2, t.value];
+                    switch (op[0]) {
+                        case 0:
+                        case 1:
+                            t = op;
+                            break;
+                        case 4:
+                            _.label++;
+                            return { value: op[1], done: false };
+                        case 5:
+                            _.label++;
+                            y = op[1];
+                            op = [0];
+                            continue;
+                        case 7:
+                            op = _.ops.pop();
+                            _.trys.pop();
+                            continue;
+                        default:
+                            if (!(t = _.trys, t = t.length > 0 && t[t.length - 1]) && (op[0] === 6 || op[0] === 2)) {
+                                _ = 0;
+                                continue;
+                            }
+                            if (op[0] === 3 && (!t || (op[1] > t[0] && op[1] < t[3]))) {
+                                _.label = op[1];
+                                break;
+                            }
+                            if (op[0] === 6 && _.label < t[1]) {
+                                _.label = t[1];
+                                t = op;
+                                break;
+                            }
+                            if (t && _.label < t[2]) {
+                                _.label = t[2];
+                                _.ops.push(op);
+                                break;
+                            }
+                            if (t[2])
+                                _.ops.pop();
+                            _.trys.pop();
+                            continue;
+                    }
+                    op = body.call(thisArg, _);
+                }
+                catch (e) {
+                    op = [6, e];
+                    y = 0;
+                }
+                finally {
+                    f = t = 0;
+                }
+            if (op[0] & 5)
+                throw op[1];
+            return { value: op[0] ? op[1] : void 0, done: true };
+        }
+    }
+    var __createBinding = Object.create ? (function (o, m, k, k2) {
+        if (k2 === undefined)
+            k2 = k;
+        Object.defineProperty(o, k2, { enumerable: true, get: function () { return m[k]; } });
+    }) : (function (o, m, k, k2) {
+        if (k2 === undefined)
+            k2 = k;
+        o[k2] = m[k];
+    });
+    function __exportStar(m, o) {
+        for (var p in m)
+            if (p !== "default" && !Object.prototype.hasOwnProperty.call(o, p))
+                __createBinding(o, m, p);
+    }
+    function __values(o) {
+        var s = typeof Symbol === "function" && Symbol.iterator, m = s && o[s], i = 0;
+        if (m)
+            return m.call(o);
+        if (o && typeof o.length === "number")
+            return {
+                next: function () {
+                    if (o && i >= o.length)
+                        o = void 0;
+                    return { value: o && o[i++], done: !o };
+                }
+            };
+        throw new TypeError(s ? "Object is not iterable." : "Symbol.iterator is not defined.");
+    }
+    function __read(o, n) {
+        var m = typeof Symbol === "function" && o[Symbol.iterator];
+        if (!m)
+            return o;
+        var i = m.call(o), r, ar = [], e;
+        try {
+            while ((n === void 0 || n-- > 0) && !(r = i.next()).done)
+                ar.push(r.value);
+        }
+        catch (error) {
+            e = { error: error };
+        }
+        finally {
+            try {
+                if (r && !r.done && (m = i["return"]))
+                    m.call(i);
+            }
+            finally {
+                if (e)
+                    throw e.error;
+            }
+        }
+        return ar;
+    }
+    /** @deprecated */
+    function __spread() {
+        for (var ar = [], i = 0; i < arguments.length; i++)
+            ar = ar.concat(__read(arguments[i]));
+        return ar;
+    }
+    /** @deprecated */
+    function __spreadArrays() {
+        for (var s = 0, i = 0, il = arguments.length; i < il; i++)
+            s += arguments[i].length;
+        for (var r = Array(s), k = 0, i = 0; i < il; i++)
+            for (var a = arguments[i], j = 0, jl = a.length; j < jl; j++, k++)
+                r[k] = a[j];
+        return r;
+    }
+    function __spreadArray(to, from) {
+        for (var i = 0, il = from.length, j = to.length; i < il; i++, j++)
+            to[j] = from[i];
+        return to;
+    }
+    function __await(v) {
+        return this instanceof __await ? (this.v = v, this) : new __await(v);
+    }
+    function __asyncGenerator(thisArg, _arguments, generator) {
+        if (!Symbol.asyncIterator)
+            throw new TypeError("Symbol.asyncIterator is not defined.");
+        var g = generator.apply(thisArg, _arguments || []), i, q = [];
+        return i = {}, verb("next"), verb("throw"), verb("return"), i[Symbol.asyncIterator] = function () { return this; }, i;
+        function verb(n) { if (g[n])
+            i[n] = function (v) { return new Promise(function (a, b) { q.push([n, v, a, b]) > 1 || resume(n, v); }); }; }
+        function resume(n, v) { try {
+            step(g[n](v));
+        }
+        catch (e) {
+            settle(q[0][3], e);
+        } }
+        function step(r) { r.value instanceof __await ? Promise.resolve(r.value.v).then(fulfill, reject) : settle(q[0][2], r); }
+        function fulfill(value) { resume("next", value); }
+        function reject(value) { resume("throw", value); }
+        function settle(f, v) { if (f(v), q.shift(), q.length)
+            resume(q[0][0], q[0][1]); }
+    }
+    function __asyncDelegator(o) {
+        var i, p;
+        return i = {}, verb("next"), verb("throw", function (e) { throw e; }), verb("return"), i[Symbol.iterator] = function () { return this; }, i;
+        function verb(n, f) { i[n] = o[n] ? function (v) { return (p = !p) ? { value: __await(o[n](v)), done: n === "return" } : f ? f(v) : v; } : f; }
+    }
+    function __asyncValues(o) {
+        if (!Symbol.asyncIterator)
+            throw new TypeError("Symbol.asyncIterator is not defined.");
+        var m = o[Symbol.asyncIterator], i;
+        return m ? m.call(o) : (o = typeof __values === "function" ? __values(o) : o[Symbol.iterator](), i = {}, verb("next"), verb("throw"), verb("return"), i[Symbol.asyncIterator] = function () { return this; }, i);
+        function verb(n) { i[n] = o[n] && function (v) { return new Promise(function (resolve, reject) { v = o[n](v), settle(resolve, reject, v.done, v.value); }); }; }
+        function settle(resolve, reject, d, v) { Promise.resolve(v).then(function (v) { resolve({ value: v, done: d }); }, reject); }
+    }
+    function __makeTemplateObject(cooked, raw) {
+        if (Object.defineProperty) {
+            Object.defineProperty(cooked, "raw", { value: raw });
+        }
+        else {
+            cooked.raw = raw;
+        }
+        return cooked;
+    }
+    ;
+    var __setModuleDefault = Object.create ? (function (o, v) {
+        Object.defineProperty(o, "default", { enumerable: true, value: v });
+    }) : function (o, v) {
+        o["default"] = v;
+    };
+    function __importStar(mod) {
+        if (mod && mod.__esModule)
+            return mod;
+        var result = {};
+        if (mod != null)
+            for (var k in mod)
+                if (k !== "default" && Object.prototype.hasOwnProperty.call(mod, k))
+                    __createBinding(result, mod, k);
+        __setModuleDefault(result, mod);
+        return result;
+    }
+    function __importDefault(mod) {
+        return (mod && mod.__esModule) ? mod : { default: mod };
+    }
+    function __classPrivateFieldGet(receiver, privateMap) {
+        if (!privateMap.has(receiver)) {
+            throw new TypeError("attempted to get private field on non-instance");
+        }
+        return privateMap.get(receiver);
+    }
+    function __classPrivateFieldSet(receiver, privateMap, value) {
+        if (!privateMap.has(receiver)) {
+            throw new TypeError("attempted to set private field on non-instance");
+        }
+        privateMap.set(receiver, value);
+        return value;
+    }
+
+    /**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+    /**
+     * Tracks the pointer while it is over an element and reports once it has slowed down enough to
+     * indicate that the user intends to interact with the element, rather than passing over it.
+     * @docs-private
+     */
+    var HoverIntent = /** @class */ (function () {
+        function HoverIntent(_element, _ngZone) {
+            this._element = _element;
+            this._ngZone = _ngZone;
+            /** Most recent coordinates of the pointer. */
+            this._current = { x: 0, y: 0 };
+            /** Coordinates of the pointer at the previous sample. */
+            this._previous = { x: 0, y: 0 };
+            /** ID of the timeout for the next sample. */
+            this._timeoutId = null;
+            /** Removes the `mousemove` listener from the element. */
+            this._removeMoveListener = null;
+        }
+        /**
+         * Starts tracking the pointer, replacing any tracking that was in progress.
+         * @param event Event that started the hover, usually `mouseenter`.
+         * @param sensitivity Distance in pixels that the pointer can travel within one interval
+         *    while still being considered to be resting on the element.
+         * @param interval Interval in milliseconds at which the pointer's speed is sampled.
+         * @param callback Invoked inside the NgZone once the pointer has slowed down.
+         */
+        HoverIntent.prototype.track = function (event, sensitivity, interval, callback) {
+            var _this = this;
+            this.stop();
+            if (interval <= 0) {
+                callback();
+                return;
+            }
+            this._current = this._previous = { x: event.clientX, y: event.clientY };
+            this._ngZone.runOutsideAngular(function () {
+                var listener = function (moveEvent) {
+                    _this._current = { x: moveEvent.clientX, y: moveEvent.clientY };
+                };
+                _this._element.addEventListener('mousemove', listener);
+                _this._removeMoveListener = function () { return _this._element.removeEventListener('mousemove', listener); };
+                _this._scheduleSample(sensitivity, interval, callback);
+            });
+        };
+        /** Stops tracking the pointer without invoking the callback. */
+        HoverIntent.prototype.stop = function () {
+            if (this._timeoutId !== null) {
+                clearTimeout(this._timeoutId);
+                this._timeoutId = null;
+            }
+            if (this._removeMoveListener) {
+                this._removeMoveListener();
+                this._removeMoveListener = null;
+            }
+        };
+        /** Compares the pointer's position after one interval to its previous position. */
+        HoverIntent.prototype._scheduleSample = function (sensitivity, interval, callback) {
+            var _this = this;
+            this._timeoutId = setTimeout(function () {
+                var current = _this._current;
+                var previous = _this._previous;
+                if (Math.abs(current.x - previous.x) + Math.abs(current.y - previous.y) < sensitivity) {
+                    _this.stop();
+                    _this._ngZone.run(callback);
+                }
+                else {
+                    _this._previous = current;
+                    _this._scheduleSample(sensitivity, interval, callback);
+                }
+            }, interval);
+        };
+        return HoverIntent;
+    }());
+
+    /** Options for the listeners that are bound to the trigger. */
+    var passiveListenerOptions = platform.normalizePassiveListenerOptions({ passive: true });
+    /** Distance in pixels between the panel and the edges of the viewport. */
+    var VIEWPORT_MARGIN = 8;
+    /** Minimum distance in pixels between the arrow of the panel and its corners. */
+    var ARROW_PADDING = 4;
+    /** Distance in pixels that a touch can move before it no longer counts as a long press. */
+    var LONG_PRESS_MOVE_THRESHOLD = 10;
+    /**
+     * Abstract directive that implements the behavior shared by `CdkTooltip` and `CdkPopover`:
+     * showing and hiding a panel in an overlay after a delay, hover intent, touch long-presses,
+     * dismissal through the escape key and placement through a `FlexibleConnectedPositionStrategy`
+     * which falls back to the other sides of the trigger if the panel doesn't fit. An element with
+     * the `cdk-tooltip-arrow` or `cdk-popover-arrow` class inside of the panel is positioned
+     * such that it points towards the center of the trigger.
+     */
+    var CdkTooltipBase = /** @class */ (function () {
+        function CdkTooltipBase(_overlay, _elementRef, _ngZone, _scrollDispatcher, _platform, _focusMonitor, scrollStrategy, document, _dir, defaultOptions) {
+            this._overlay = _overlay;
+            this._elementRef = _elementRef;
+            this._ngZone = _ngZone;
+            this._scrollDispatcher = _scrollDispatcher;
+            this._platform = _platform;
+            this._focusMonitor = _focusMonitor;
+            this._dir = _dir;
+            this._disabled = false;
+            this._panelClass = [];
+            /** Reference to the overlay that renders the panel, once it has been created. */
+            this._overlayRef = null;
+            /** Emits when the trigger is destroyed. */
+            this._destroyed = new rxjs.Subject();
+            /** ID of the timeout after which the panel is shown. */
+            this._showTimeoutId = null;
+            /** ID of the timeout after which the panel is hidden. */
+            this._hideTimeoutId = null;
+            /** ID of the timeout after which a touch counts as a long press. */
+            this._longPressTimeoutId = null;
+            /** Coordinates at which the current touch started. */
+            this._touchStartPosition = null;
+            /** Class that reflects the side of the trigger on which the panel was placed. */
+            this._placementClass = null;
+            /** Listeners that have been bound to the trigger. */
+            this._triggerListeners = [];
+            this._scrollStrategy = scrollStrategy;
+            this._document = document;
+            this._defaultOptions = Object.assign(Object.assign({}, CDK_TOOLTIP_BASE_DEFAULT_OPTIONS), defaultOptions);
+            this._position = this._defaultOptions.position;
+            this._showDelay = this._defaultOptions.showDelay;
+            this._hideDelay = this._defaultOptions.hideDelay;
+            this._hoverIntent = new HoverIntent(_elementRef.nativeElement, _ngZone);
+        }
+        Object.defineProperty(CdkTooltipBase.prototype, "position", {
+            /** Placement of the panel relative to the trigger. */
+            get: function () { return this._position; },
+            set: function (value) {
+                if (value !== this._position) {
+                    this._position = value;
+                    if (this._overlayRef) {
+                        this._updatePosition(this._overlayRef);
+                        this._overlayRef.updatePosition();
+                    }
+                }
+            },
+            enumerable: false,
+            configurable: true
+        });
+        Object.defineProperty(CdkTooltipBase.prototype, "disabled", {
+            /** Whether the trigger is disabled. Disabled triggers don't show their panel. */
+            get: function () { return this._disabled; },
+            set: function (value) {
+                this._disabled = coercion.coerceBooleanProperty(value);
+                if (this._disabled) {
+                    this.hide(0);
+                }
+            },
+            enumerable: false,
+            configurable: true
+        });
+        Object.defineProperty(CdkTooltipBase.prototype, "showDelay", {
+            /** Time in milliseconds between the user pointing at the trigger and the panel showing. */
+            get: function () { return this._showDelay; },
+            set: function (value) {
+                this._showDelay = coercion.coerceNumberProperty(value);
+            },
+            enumerable: false,
+            configurable: true
+        });
+        Object.defineProperty(CdkTooltipBase.prototype, "hideDelay", {
+            /** Time in milliseconds between the user leaving the trigger and the panel hiding. */
+            get: function () { return this._hideDelay; },
+            set: function (value) {
+                this._hideDelay = coercion.coerceNumberProperty(value);
+            },
+            enumerable: false,
+            configurable: true
+        });
+        Object.defineProperty(CdkTooltipBase.prototype, "panelClass", {
+            /** Classes to be added to the overlay pane that renders the panel. */
+            get: function () { return this._panelClass; },
+            set: function (value) {
+                if (this._overlayRef) {
+                    this._overlayRef.removePanelClass(this._panelClass);
+                    this._overlayRef.addPanelClass(value);
+                }
+                this._panelClass = value;
+            },
+            enumerable: false,
+            configurable: true
+        });
+        CdkTooltipBase.prototype.ngAfterViewInit = function () {
+            var _this = this;
+            this._bindTriggerListeners();
+            this._focusMonitor.monitor(this._elementRef)
+                .pipe(operators.takeUntil(this._destroyed))
+                .subscribe(function (origin) {
+                if (!_this._showsOnHoverAndFocus()) {
+                    return;
+                }
+                // Only keyboard focus shows the panel, because pointer users
+                // see the panel when they hover over the trigger.
+                if (!origin) {
+                    _this._hideIfFocusLeft();
+                }
+                else if (origin === 'keyboard') {
+                    _this.show();
+                }
+            });
+        };
+        CdkTooltipBase.prototype.ngOnDestroy = function () {
+            var element = this._elementRef.nativeElement;
+            this._clearShowTimeout();
+            this._clearHideTimeout();
+            this._clearLongPressTimeout();
+            this._hoverIntent.stop();
+            this._triggerListeners.forEach(function (_a) {
+                var _b = __read(_a, 2), event = _b[0], listener = _b[1];
+                element.removeEventListener(event, listener, passiveListenerOptions);
+            });
+            this._triggerListeners.length = 0;
+            this._focusMonitor.stopMonitoring(element);
+            if (this._overlayRef) {
+                this._overlayRef.dispose();
+                this._overlayRef = null;
+            }
+            this._destroyed.next();
+            this._destroyed.complete();
+        };
+        /** Whether the panel is currently shown. */
+        CdkTooltipBase.prototype.isShown = function () {
+            return !!this._overlayRef && this._overlayRef.hasAttached();
+        };
+        /**
+         * Shows the panel after a delay.
+         * @param delay Time in milliseconds after which to show the panel.
+         */
+        CdkTooltipBase.prototype.show = function (delay) {
+            var _this = this;
+            if (delay === void 0) { delay = this.showDelay; }
+            if (this.disabled || !this._hasContent()) {
+                return;
+            }
+            this._clearHideTimeout();
+            if (this.isShown()) {
+                return;
+            }
+            if (delay > 0) {
+                if (this._showTimeoutId === null) {
+                    this._showTimeoutId = setTimeout(function () {
+                        _this._showTimeoutId = null;
+                        _this._attach();
+                    }, delay);
+                }
+            }
+            else {
+                this._clearShowTimeout();
+                this._attach();
+            }
+        };
+        /**
+         * Hides the panel after a delay.
+         * @param delay Time in milliseconds after which to hide the panel.
+         */
+        CdkTooltipBase.prototype.hide = function (delay) {
+            var _this = this;
+            if (delay === void 0) { delay = this.hideDelay; }
+            this._clearShowTimeout();
+            this._hoverIntent.stop();
+            if (!this.isShown()) {
+                return;
+            }
+            if (delay > 0) {
+                if (this._hideTimeoutId === null) {
+                    this._hideTimeoutId = setTimeout(function () {
+                        _this._hideTimeoutId = null;
+                        _this._detach();
+                    }, delay);
+                }
+            }
+            else {
+                this._clearHideTimeout();
+                this._detach();
+            }
+        };
+        /** Shows the panel if it is hidden and hides it if it is shown, without a delay. */
+        CdkTooltipBase.prototype.toggle = function () {
+            this.isShown() ? this.hide(0) : this.show(0);
+        };
+        /** Updates the position of the panel, e.g. after its content has changed. */
+        CdkTooltipBase.prototype.updatePosition = function () {
+            if (this._overlayRef) {
+                this._overlayRef.updatePosition();
+            }
+        };
+        /** Invoked once the overlay that renders the panel has been created. */
+        CdkTooltipBase.prototype._onOverlayCreated = function (_overlayRef) { };
+        /** Invoked once the panel has been hidden. */
+        CdkTooltipBase.prototype._onDetached = function () { };
+        /** Handles the user pressing the escape key while the panel is shown. */
+        CdkTooltipBase.prototype._handleEscape = function () {
+            this.hide(0);
+        };
+        /** Whether a node is inside of the overlay pane that renders the panel. */
+        CdkTooltipBase.prototype._isInsidePanel = function (node) {
+            return !!node && !!this._overlayRef && this._overlayRef.overlayElement.contains(node);
+        };
+        /** Renders the panel inside of the overlay. */
+        CdkTooltipBase.prototype._attach = function () {
+            var overlayRef = this._getOverlayRef();
+            // The direction may have changed since the panel was shown the last time.
+            this._updatePosition(overlayRef);
+            this._attachContent(overlayRef);
+        };
+        /** Removes the panel from the overlay. */
+        CdkTooltipBase.prototype._detach = function () {
+            if (this.isShown()) {
+                this._overlayRef.detach();
+            }
+        };
+        /** Gets the overlay that renders the panel, creating it if it doesn't exist yet. */
+        CdkTooltipBase.prototype._getOverlayRef = function () {
+            var _this = this;
+            if (this._overlayRef) {
+                return this._overlayRef;
+            }
+            var scrollableAncestors = this._scrollDispatcher.getAncestorScrollContainers(this._elementRef);
+            var positionStrategy = this._overlay.position()
+                .flexibleConnectedTo(this._elementRef)
+                .withFlexibleDimensions(false)
+                .withViewportMargin(VIEWPORT_MARGIN)
+                .withScrollableContainers(scrollableAncestors)
+                .withArrowOn("." + this._classPrefix + "-arrow", ARROW_PADDING);
+            positionStrategy.positionChanges.pipe(operators.takeUntil(this._destroyed)).subscribe(function (change) {
+                _this._updatePlacementClass(change.connectionPair);
+                // The panel would otherwise be left floating on its own once
+                // the trigger has been scrolled out of one of its containers.
+                if (change.scrollableViewProperties.isOverlayClipped && _this.isShown()) {
+                    _this._ngZone.run(function () { return _this.hide(0); });
+                }
+            });
+            var overlayRef = this._overlayRef = this._overlay.create({
+                direction: this._dir,
+                positionStrategy: positionStrategy,
+                panelClass: this._panelClass,
+                scrollStrategy: this._scrollStrategy(),
+            });
+            overlayRef.addPanelClass(this._classPrefix + "-panel");
+            overlayRef.detachments().pipe(operators.takeUntil(this._destroyed)).subscribe(function () { return _this._onDetached(); });
+            overlayRef.keydownEvents()
+                .pipe(operators.filter(function (event) { return event.keyCode === keycodes.ESCAPE && !keycodes.hasModifierKey(event); }), operators.takeUntil(this._destroyed))
+                .subscribe(function (event) {
+                event.preventDefault();
+                event.stopPropagation();
+                _this._ngZone.run(function () { return _this._handleEscape(); });
+            });
+            this._bindPanelListeners(overlayRef.overlayElement);
+            this._onOverlayCreated(overlayRef);
+            return overlayRef;
+        };
+        /** Updates the positions in which the panel can be placed. */
+        CdkTooltipBase.prototype._updatePosition = function (overlayRef) {
+            var strategy = overlayRef.getConfig().positionStrategy;
+            strategy.withPositions(getTooltipConnectedPositions(this.position, this._isRtl()));
+        };
+        /** Adds a class to the overlay pane which reflects the side on which the panel was placed. */
+        CdkTooltipBase.prototype._updatePlacementClass = function (pair) {
+            var placement;
+            if (pair.originY === 'top' && pair.overlayY === 'bottom') {
+                placement = 'above';
+            }
+            else if (pair.originY === 'bottom' && pair.overlayY === 'top') {
+                placement = 'below';
+            }
+            else {
+                placement = (pair.overlayX === 'end') !== this._isRtl() ? 'left' : 'right';
+            }
+            var placementClass = this._classPrefix + "-panel-" + placement;
+            if (this._overlayRef && placementClass !== this._placementClass) {
+                if (this._placementClass) {
+                    this._overlayRef.removePanelClass(this._placementClass);
+                }
+                this._overlayRef.addPanelClass(placementClass);
+                this._placementClass = placementClass;
+            }
+        };
+        /** Binds the pointer listeners that show and hide the panel to the trigger. */
+        CdkTooltipBase.prototype._bindTriggerListeners = function () {
+            var _this = this;
+            var element = this._elementRef.nativeElement;
+            // Touch devices emulate mouse events after a touch, which would interfere
+            // with the long press, so only one of the two kinds of listeners is bound.
+            if (this._platformSupportsMouseEvents()) {
+                this._triggerListeners.push(['mouseenter', function (event) { return _this._handleMouseenter(event); }], ['mouseleave', function (event) { return _this._handleMouseleave(event); }]);
+            }
+            else {
+                this._disableNativeGesturesIfNecessary();
+                this._triggerListeners.push(['touchstart', function (event) { return _this._handleTouchstart(event); }], ['touchmove', function (event) { return _this._handleTouchmove(event); }], ['touchend', function () { return _this._handleTouchend(); }], ['touchcancel', function () { return _this._handleTouchend(); }]);
+            }
+            this._ngZone.runOutsideAngular(function () {
+                _this._triggerListeners.forEach(function (_a) {
+                    var _b = __read(_a, 2), event = _b[0], listener = _b[1];
+                    element.addEventListener(event, listener, passiveListenerOptions);
+                });
+            });
+        };
+        /**
+         * Binds the listeners which keep the panel shown while the user interacts with it,
+         * allowing them to move the pointer or focus from the trigger to the panel.
+         */
+        CdkTooltipBase.prototype._bindPanelListeners = function (pane) {
+            var _this = this;
+            this._ngZone.runOutsideAngular(function () {
+                pane.addEventListener('mouseenter', function () {
+                    if (_this._showsOnHoverAndFocus()) {
+                        _this._clearHideTimeout();
+                    }
+                });
+                pane.addEventListener('mouseleave', function (event) {
+                    var target = event.relatedTarget;
+                    if (_this._showsOnHoverAndFocus() && !_this._elementRef.nativeElement.contains(target)) {
+                        _this._ngZone.run(function () { return _this.hide(); });
+                    }
+                });
+                pane.addEventListener('focusout', function () {
+                    if (_this._showsOnHoverAndFocus()) {
+                        _this._hideIfFocusLeft();
+                    }
+                });
+            });
+        };
+        /** Handles the pointer entering the trigger. */
+        CdkTooltipBase.prototype._handleMouseenter = function (event) {
+            var _this = this;
+            if (this.disabled || !this._showsOnHoverAndFocus()) {
+                return;
+            }
+            // The user is coming back from the panel so there's no need to wait.
+            if (this.isShown()) {
+                this._clearHideTimeout();
+                return;
+            }
+            var _a = this._defaultOptions, hoverIntentSensitivity = _a.hoverIntentSensitivity, hoverIntentInterval = _a.hoverIntentInterval;
+            this._hoverIntent.track(event, hoverIntentSensitivity, hoverIntentInterval, function () {
+                _this.show();
+            });
+        };
+        /** Handles the pointer leaving the trigger. */
+        CdkTooltipBase.prototype._handleMouseleave = function (event) {
+            var _this = this;
+            this._hoverIntent.stop();
+            if (this._showsOnHoverAndFocus() && !this._isInsidePanel(event.relatedTarget)) {
+                this._ngZone.run(function () { return _this.hide(); });
+            }
+        };
+        /** Handles the user touching the trigger. */
+        CdkTooltipBase.prototype._handleTouchstart = function (event) {
+            var _this = this;
+            if (this.disabled || !this._showsOnHoverAndFocus()) {
+                return;
+            }
+            var touch = event.touches[0];
+            this._touchStartPosition = touch ? { x: touch.clientX, y: touch.clientY } : null;
+            this._clearLongPressTimeout();
+            this._longPressTimeoutId = setTimeout(function () {
+                _this._longPressTimeoutId = null;
+                _this._ngZone.run(function () { return _this.show(0); });
+            }, this._defaultOptions.touchLongPressShowDelay);
+        };
+        /** Cancels the long press if the user starts scrolling. */
+        CdkTooltipBase.prototype._handleTouchmove = function (event) {
+            var start = this._touchStartPosition;
+            var touch = event.touches[0];
+            if (start && touch && Math.abs(touch.clientX - start.x) +
+                Math.abs(touch.clientY - start.y) > LONG_PRESS_MOVE_THRESHOLD) {
+                this._clearLongPressTimeout();
+            }
+        };
+        /** Handles the user lifting their finger from the trigger. */
+        CdkTooltipBase.prototype._handleTouchend = function () {
+            var _this = this;
+            this._touchStartPosition = null;
+            this._clearLongPressTimeout();
+            if (this.isShown()) {
+                this._ngZone.run(function () { return _this.hide(_this._defaultOptions.touchendHideDelay); });
+            }
+        };
+        /**
+         * Hides the panel once focus has left both the trigger and the panel. Waits for focus to land
+         * on its new target first, because it may be moving between the trigger and the panel.
+         */
+        CdkTooltipBase.prototype._hideIfFocusLeft = function () {
+            var _this = this;
+            Promise.resolve().then(function () {
+                var activeElement = _this._document.activeElement;
+                if (!_this._elementRef.nativeElement.contains(activeElement) &&
+                    !_this._isInsidePanel(activeElement)) {
+                    _this._ngZone.run(function () { return _this.hide(0); });
+                }
+            });
+        };
+        /**
+         * Prevents the browser from selecting text or opening its context callout while the user
+         * long-presses the trigger, because either of them would cover the panel.
+         */
+        CdkTooltipBase.prototype._disableNativeGesturesIfNecessary = function () {
+            var element = this._elementRef.nativeElement;
+            var style = element.style;
+            if (element.nodeName !== 'INPUT' && element.nodeName !== 'TEXTAREA') {
+                style.userSelect = style.msUserSelect = style.webkitUserSelect = style.MozUserSelect = 'none';
+            }
+            style.webkitTouchCallout = 'none';
+        };
+        /** Whether the platform fires mouse events for pointer interactions. */
+        CdkTooltipBase.prototype._platformSupportsMouseEvents = function () {
+            return !this._platform.IOS && !this._platform.ANDROID;
+        };
+        /** Whether the trigger is in a right-to-left context. */
+        CdkTooltipBase.prototype._isRtl = function () {
+            return !!this._dir && this._dir.value === 'rtl';
+        };
+        /** Cancels the pending timeout which shows the panel. */
+        CdkTooltipBase.prototype._clearShowTimeout = function () {
+            if (this._showTimeoutId !== null) {
+                clearTimeout(this._showTimeoutId);
+                this._showTimeoutId = null;
+            }
+        };
+        /** Cancels the pending timeout which hides the panel. */
+        CdkTooltipBase.prototype._clearHideTimeout = function () {
+            if (this._hideTimeoutId !== null) {
+                clearTimeout(this._hideTimeoutId);
+                this._hideTimeoutId = null;
+            }
+        };
+        /** Cancels the pending long press. */
+        CdkTooltipBase.prototype._clearLongPressTimeout = function () {
+            if (this._longPressTimeoutId !== null) {
+                clearTimeout(this._longPressTimeoutId);
+                this._longPressTimeoutId = null;
+            }
+        };
+        return CdkTooltipBase;
+    }());
+    CdkTooltipBase.decorators = [
+        { type: core.Directive }
+    ];
+    CdkTooltipBase.ctorParameters = function () { return [
+        { type: overlay.Overlay },
+        { type: core.ElementRef },
+        { type: core.NgZone },
+        { type: overlay.ScrollDispatcher },
+        { type: platform.Platform },
+        { type: a11y.FocusMonitor },
+        { type: undefined },
+        { type: undefined },
+        { type: bidi.Directionality },
+        { type: undefined }
+    ]; };
+
+    /**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+    /**
+     * Unstyled component that renders the message of a `CdkTooltip` inside of its overlay.
+     * The message is hidden from assistive technology, because it is already announced
+     * through the `aria-describedby` attribute of the trigger.
+     * @docs-private
+     */
+    var CdkTooltipContainer = /** @class */ (function () {
+        function CdkTooltipContainer(_changeDetectorRef) {
+            this._changeDetectorRef = _changeDetectorRef;
+            /** Message that is shown in the tooltip. */
+            this.message = '';
+        }
+        /** Updates the message that is shown in the tooltip. */
+        CdkTooltipContainer.prototype._setMessage = function (message) {
+            this.message = message;
+            this._changeDetectorRef.markForCheck();
+        };
+        return CdkTooltipContainer;
+    }());
+    CdkTooltipContainer.decorators = [
+        { type: core.Component, args: [{
+                    selector: 'cdk-tooltip',
+                    template: '{{message}}',
+                    encapsulation: core.ViewEncapsulation.None,
+                    changeDetection: core.ChangeDetectionStrategy.OnPush,
+                    host: {
+                        'class': 'cdk-tooltip',
+                        'aria-hidden': 'true',
+                    }
+                },] }
+    ];
+    CdkTooltipContainer.ctorParameters = function () { return [
+        { type: core.ChangeDetectorRef }
+    ]; };
+
+    /**
+     * Directive that shows a short text message in an overlay when the user hovers over the host
+     * element, focuses it using the keyboard or long-presses it on a touch device. The message is
+     * also added to the `aria-describedby` attribute of the host element through the
+     * `AriaDescriber`, so that it is announced by assistive technology.
+     */
+    var CdkTooltip = /** @class */ (function (_super) {
+        __extends(CdkTooltip, _super);
+        function CdkTooltip(overlay, elementRef, ngZone, scrollDispatcher, platform, focusMonitor, _viewContainerRef, _ariaDescriber, scrollStrategy, document, dir, defaultOptions) {
+            var _this = _super.call(this, overlay, elementRef, ngZone, scrollDispatcher, platform, focusMonitor, scrollStrategy, document, dir, defaultOptions) || this;
+            _this._viewContainerRef = _viewContainerRef;
+            _this._ariaDescriber = _ariaDescriber;
+            _this._message = '';
+            _this._classPrefix = 'cdk-tooltip';
+            /** Component that renders the message, if the tooltip is shown. */
+            _this._container = null;
+            /** Portal used to render the message. */
+            _this._portal = null;
+            return _this;
+        }
+        Object.defineProperty(CdkTooltip.prototype, "message", {
+            /** Message that is shown in the tooltip. */
+            get: function () { return this._message; },
+            set: function (value) {
+                var _this = this;
+                var element = this._elementRef.nativeElement;
+                var message = value != null ? ("" + value).trim() : '';
+                this._ariaDescriber.removeDescription(element, this._message, 'tooltip');
+                this._message = message;
+                if (!message && this.isShown()) {
+                    this.hide(0);
+                }
+                else {
+                    this._updateMessage();
+                    // Wait a tick before describing the trigger, because the message may be bound
+                    // to a value that changes multiple times while the view is being initialized.
+                    this._ngZone.runOutsideAngular(function () {
+                        Promise.resolve().then(function () {
+                            if (message === _this._message && !_this._destroyed.isStopped) {
+                                _this._ariaDescriber.describe(element, message, 'tooltip');
+                            }
+                        });
+                    });
+                }
+            },
+            enumerable: false,
+            configurable: true
+        });
+        CdkTooltip.prototype.ngOnDestroy = function () {
+            var element = this._elementRef.nativeElement;
+            _super.prototype.ngOnDestroy.call(this);
+            this._ariaDescriber.removeDescription(element, this._message, 'tooltip');
+        };
+        CdkTooltip.prototype._hasContent = function () {
+            return !!this._message;
+        };
+        CdkTooltip.prototype._showsOnHoverAndFocus = function () {
+            return true;
+        };
+        CdkTooltip.prototype._attachContent = function (overlayRef) {
+            if (!this._portal) {
+                this._portal = new portal.ComponentPortal(CdkTooltipContainer, this._viewContainerRef);
+            }
+            this._container = overlayRef.attach(this._portal).instance;
+            this._updateMessage();
+        };
+        CdkTooltip.prototype._onDetached = function () {
+            this._container = null;
+        };
+        /** Updates the message inside of the tooltip, if it is shown. */
+        CdkTooltip.prototype._updateMessage = function () {
+            var _this = this;
+            if (this._container) {
+                this._container._setMessage(this._message);
+                // The size of the tooltip changes along with its message.
+                this._ngZone.onMicrotaskEmpty.asObservable().pipe(operators.take(1)).subscribe(function () {
+                    _this.updatePosition();
+                });
+            }
+        };
+        return CdkTooltip;
+    }(CdkTooltipBase));
+    CdkTooltip.decorators = [
+        { type: core.Directive, args: [{
+                    selector: '[cdkTooltip]',
+                    exportAs: 'cdkTooltip',
+                    inputs: [
+                        'position: cdkTooltipPosition',
+                        'disabled: cdkTooltipDisabled',
+                        'showDelay: cdkTooltipShowDelay',
+                        'hideDelay: cdkTooltipHideDelay',
+                        'panelClass: cdkTooltipPanelClass',
+                    ],
+                    host: {
+                        'class': 'cdk-tooltip-trigger',
+                    },
+                },] }
+    ];
+    CdkTooltip.ctorParameters = function () { return [
+        { type: overlay.Overlay },
+        { type: core.ElementRef },
+        { type: core.NgZone },
+        { type: overlay.ScrollDispatcher },
+        { type: platform.Platform },
+        { type: a11y.FocusMonitor },
+        { type: core.ViewContainerRef },
+        { type: a11y.AriaDescriber },
+        { type: undefined, decorators: [{ type: core.Inject, args: [CDK_TOOLTIP_SCROLL_STRATEGY,] }] },
+        { type: undefined, decorators: [{ type: core.Inject, args: [common.DOCUMENT,] }] },
+        { type: bidi.Directionality, decorators: [{ type: core.Optional }] },
+        { type: undefined, decorators: [{ type: core.Optional }, { type: core.Inject, args: [CDK_TOOLTIP_DEFAULT_OPTIONS,] }] }
+    ]; };
+    CdkTooltip.propDecorators = {
+        message: [{ type: core.Input, args: ['cdkTooltip',] }]
+    };
+
+    /** Counter used to create unique IDs for popovers. */
+    var nextId = 0;
+    /**
+     * Directive that shows the content of a template in an overlay next to the host element. Unlike a
+     * tooltip, the content of a popover can be interactive. By default the popover is toggled when
+     * the host element is clicked and it is hidden when the user clicks outside of it or presses
+     * the escape key. Popovers that are triggered on hover behave like a tooltip instead, while
+     * still allowing the user to move the pointer or focus into them.
+     */
+    var CdkPopover = /** @class */ (function (_super) {
+        __extends(CdkPopover, _super);
+        function CdkPopover(overlay, elementRef, ngZone, scrollDispatcher, platform, focusMonitor, _viewContainerRef, scrollStrategy, document, dir, defaultOptions) {
+            var _this = _super.call(this, overlay, elementRef, ngZone, scrollDispatcher, platform, focusMonitor, scrollStrategy, document, dir, defaultOptions) || this;
+            _this._viewContainerRef = _viewContainerRef;
+            _this._template = null;
+            /** Interaction that shows the popover. */
+            _this.triggerOn = 'click';
+            /** Unique ID of the overlay pane that renders the popover. */
+            _this.panelId = "cdk-popover-" + nextId++;
+            /** Emits when the popover has been shown. */
+            _this.shown = new core.EventEmitter();
+            /** Emits when the popover has been hidden. */
+            _this.hidden = new core.EventEmitter();
+            _this._classPrefix = 'cdk-popover';
+            /** Portal used to render the template. */
+            _this._portal = null;
+            return _this;
+        }
+        Object.defineProperty(CdkPopover.prototype, "template", {
+            /** Template that is rendered inside of the popover. */
+            get: function () { return this._template; },
+            set: function (value) {
+                if (value !== this._template) {
+                    this.hide(0);
+                    this._template = value;
+                    this._portal = null;
+                }
+            },
+            enumerable: false,
+            configurable: true
+        });
+        /** Toggles the popover when the trigger is clicked, if it is shown on click. */
+        CdkPopover.prototype._handleClick = function () {
+            if (this.triggerOn === 'click') {
+                this.toggle();
+            }
+        };
+        CdkPopover.prototype._hasContent = function () {
+            return !!this._template;
+        };
+        CdkPopover.prototype._showsOnHoverAndFocus = function () {
+            return this.triggerOn === 'hover';
+        };
+        CdkPopover.prototype._onOverlayCreated = function (overlayRef) {
+            var _this = this;
+            var pane = overlayRef.overlayElement;
+            pane.id = this.panelId;
+            pane.setAttribute('role', 'dialog');
+            overlayRef.outsidePointerEvents().pipe(operators.takeUntil(this._destroyed)).subscribe(function (event) {
+                if (!_this._elementRef.nativeElement.contains(event.target)) {
+                    _this._ngZone.run(function () { return _this.hide(0); });
+                }
+            });
+        };
+        CdkPopover.prototype._attachContent = function (overlayRef) {
+            if (!this._portal) {
+                this._portal = new portal.TemplatePortal(this._template, this._viewContainerRef);
+            }
+            overlayRef.attach(this._portal);
+            this.shown.emit();
+        };
+        CdkPopover.prototype._onDetached = function () {
+            this.hidden.emit();
+        };
+        /** Hides the popover, moving focus back to the trigger if it was inside the popover. */
+        CdkPopover.prototype._handleEscape = function () {
+            var shouldRestoreFocus = this._isInsidePanel(this._document.activeElement);
+            this.hide(0);
+            if (shouldRestoreFocus) {
+                this._elementRef.nativeElement.focus();
+            }
+        };
+        return CdkPopover;
+    }(CdkTooltipBase));
+    CdkPopover.decorators = [
+        { type: core.Directive, args: [{
+                    selector: '[cdkPopover]',
+                    exportAs: 'cdkPopover',
+                    inputs: [
+                        'position: cdkPopoverPosition',
+                        'disabled: cdkPopoverDisabled',
+                        'showDelay: cdkPopoverShowDelay',
+                        'hideDelay: cdkPopoverHideDelay',
+                        'panelClass: cdkPopoverPanelClass',
+                    ],
+                    host: {
+                        'class': 'cdk-popover-trigger',
+                        'aria-haspopup': 'dialog',
+                        '[attr.aria-expanded]': 'isShown()',
+                        '[attr.aria-controls]': 'isShown() ? panelId : null',
+                        '(click)': '_handleClick()',
+                    },
+                },] }
+    ];
+    CdkPopover.ctorParameters = function () { return [
+        { type: overlay.Overlay },
+        { type: core.ElementRef },
+        { type: core.NgZone },
+        { type: overlay.ScrollDispatcher },
+        { type: platform.Platform },
+        { type: a11y.FocusMonitor },
+        { type: core.ViewContainerRef },
+        { type: undefined, decorators: [{ type: core.Inject, args: [CDK_TOOLTIP_SCROLL_STRATEGY,] }] },
+        { type: undefined, decorators: [{ type: core.Inject, args: [common.DOCUMENT,] }] },
+        { type: bidi.Directionality, decorators: [{ type: core.Optional }] },
+        { type: undefined, decorators: [{ type: core.Optional }, { type: core.Inject, args: [CDK_TOOLTIP_DEFAULT_OPTIONS,] }] }
+    ]; };
+    CdkPopover.propDecorators = {
+        template: [{ type: core.Input, args: ['cdkPopover',] }],
+        triggerOn: [{ type: core.Input, args: ['cdkPopoverTriggerOn',] }],
+        shown: [{ type: core.Output, args: ['cdkPopoverShown',] }],
+        hidden: [{ type: core.Output, args: ['cdkPopoverHidden',] }]
+    };
+
+    var EXPORTED_DECLARATIONS = [
+        CdkTooltip,
+        CdkPopover,
+    ];
+    var CdkTooltipModule = /** @class */ (function () {
+        function CdkTooltipModule() {
+        }
+        return CdkTooltipModule;
+    }());
+    CdkTooltipModule.decorators = [
+        { type: core.NgModule, args: [{
+                    imports: [overlay.OverlayModule, a11y.A11yModule],
+                    exports: EXPORTED_DECLARATIONS,
+                    declarations: __spread(EXPORTED_DECLARATIONS, [CdkTooltipContainer]),
+                    providers: [CDK_TOOLTIP_SCROLL_STRATEGY_PROVIDER],
+                    entryComponents: [CdkTooltipContainer],
+                },] }
+    ];
+
+    /**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+
+    /**
+     * Generated bundle index. Do not edit.
+     */
+
+    exports.CDK_TOOLTIP_BASE_DEFAULT_OPTIONS = CDK_TOOLTIP_BASE_DEFAULT_OPTIONS;
+    exports.CDK_TOOLTIP_DEFAULT_OPTIONS = CDK_TOOLTIP_DEFAULT_OPTIONS;
+    exports.CDK_TOOLTIP_SCROLL_STRATEGY = CDK_TOOLTIP_SCROLL_STRATEGY;
+    exports.CDK_TOOLTIP_SCROLL_STRATEGY_PROVIDER = CDK_TOOLTIP_SCROLL_STRATEGY_PROVIDER;
+    exports.CDK_TOOLTIP_SCROLL_STRATEGY_PROVIDER_FACTORY = CDK_TOOLTIP_SCROLL_STRATEGY_PROVIDER_FACTORY;
+    exports.CdkPopover = CdkPopover;
+    exports.CdkTooltip = CdkTooltip;
+    exports.CdkTooltipBase = CdkTooltipBase;
+    exports.CdkTooltipContainer = CdkTooltipContainer;
+    exports.CdkTooltipModule = CdkTooltipModule;
+    exports.getTooltipConnectedPositions = getTooltipConnectedPositions;
+
+    Object.defineProperty(exports, '__esModule', { value: true });
+
+})));
+//# sourceMappingURL=cdk-tooltip.umd.js.map
@@ -0,0 +1,46 @@
+!function(e,t){"object"==typeof exports&&"undefined"!=typeof module?t(exports,require("@angular/cdk/overlay"),require("@angular/core"),require("@angular/cdk/a11y"),require("@angular/cdk/bidi"),require("@angular/cdk/coercion"),require("@angular/cdk/keycodes"),require("@angular/cdk/platform"),require("rxjs"),require("rxjs/operators"),require("@angular/cdk/portal"),require("@angular/common")):"function"==typeof define&&define.amd?define("@angular/cdk/tooltip",["exports","@angular/cdk/overlay","@angular/core","@angular/cdk/a11y","@angular/cdk/bidi","@angular/cdk/coercion","@angular/cdk/keycodes","@angular/cdk/platform","rxjs","rxjs/operators","@angular/cdk/portal","@angular/common"],t):t(((e=e||self).ng=e.ng||{},e.ng.cdk=e.ng.cdk||{},e.ng.cdk.tooltip={}),e.ng.cdk.overlay,e.ng.core,e.ng.cdk.a11y,e.ng.cdk.bidi,e.ng.cdk.coercion,e.ng.cdk.keycodes,e.ng.cdk.platform,e.rxjs,e.rxjs.operators,e.ng.cdk.portal,e.ng.common)}(this,(function(e,t,o,n,i,r,s,a,l,c,u,h){"use strict";
+/**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */var p=new o.InjectionToken("CDK_TOOLTIP_DEFAULT_OPTIONS"),d={showDelay:0,hideDelay:0,touchLongPressShowDelay:500,touchendHideDelay:1500,hoverIntentSensitivity:7,hoverIntentInterval:100,position:"below"},_=new o.InjectionToken("cdk-tooltip-scroll-strategy");function f(e){return function(){return e.scrollStrategies.reposition({scrollThrottle:20})}}var y={provide:_,deps:[t.Overlay],useFactory:f},v={above:{originX:"center",originY:"top",overlayX:"center",overlayY:"bottom"},below:{originX:"center",originY:"bottom",overlayX:"center",overlayY:"top"},before:{originX:"start",originY:"center",overlayX:"end",overlayY:"center"},after:{originX:"end",originY:"center",overlayX:"start",overlayY:"center"}};function g(e,t){var o;return("above"===(o="left"===e?t?"after":"before":"right"===e?t?"before":"after":e)?["above","below","after","before"]:"below"===o?["below","above","after","before"]:"before"===o?["before","after","below","above"]:["after","before","below","above"]).map((function(e){return v[e]}))}
+/*! *****************************************************************************
+    Copyright (c) Microsoft Corporation.
+
+    Permission to use, copy, modify, and/or distribute this software for any
+    purpose with or without fee is hereby granted.
+
+    THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES WITH
+    REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF MERCHANTABILITY
+    AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY SPECIAL, DIRECT,
+    INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES WHATSOEVER RESULTING FROM
+    LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION OF CONTRACT, NEGLIGENCE OR
+    OTHER TORTIOUS ACTION, ARISING OUT OF OR IN CONNECTION WITH THE USE OR
+    PERFORMANCE OF THIS SOFTWARE.
+    ***************************************************************************** */var m=function(e,t){return(m=Object.setPrototypeOf||{__proto__:[]}instanceof Array&&function(e,t){e.__proto__=t}||function(e,t){for(var o in t)Object.prototype.hasOwnProperty.call(t,o)&&(e[o]=t[o])})(e,t)};function b(e,t){if("function"!=typeof t&&null!==t)throw new TypeError("Class extends value "+String(t)+" is not a constructor or null");function o(){this.constructor=e}m(e,t),e.prototype=null===t?Object.create(t):(o.prototype=t.prototype,new o)}function T(e,t){var o="function"==typeof Symbol&&e[Symbol.iterator];if(!o)return e;var n,i,r=o.call(e),s=[];try{for(;(void 0===t||t-- >0)&&!(n=r.next()).done;)s.push(n.value)}catch(e){i={error:e}}finally{try{n&&!n.done&&(o=r.return)&&o.call(r)}finally{if(i)throw i.error}}return s}
+/**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+var P=function(){function e(e,t){this._element=e,this._ngZone=t,this._current={x:0,y:0},this._previous={x:0,y:0},this._timeoutId=null,this._removeMoveListener=null}return e.prototype.track=function(e,t,o,n){var i=this;this.stop(),o<=0?n():(this._current=this._previous={x:e.clientX,y:e.clientY},this._ngZone.runOutsideAngular((function(){var e=function(e){i._current={x:e.clientX,y:e.clientY}};i._element.addEventListener("mousemove",e),i._removeMoveListener=function(){return i._element.removeEventListener("mousemove",e)},i._scheduleSample(t,o,n)})))},e.prototype.stop=function(){null!==this._timeoutId&&(clearTimeout(this._timeoutId),this._timeoutId=null),this._removeMoveListener&&(this._removeMoveListener(),this._removeMoveListener=null)},e.prototype._scheduleSample=function(e,t,o){var n=this;this._timeoutId=setTimeout((function(){var i=n._current,r=n._previous;Math.abs(i.x-r.x)+Math.abs(i.y-r.y)<e?(n.stop(),n._ngZone.run(o)):(n._previous=i,n._scheduleSample(e,t,o))}),t)},e}(),w=a.normalizePassiveListenerOptions({passive:!0}),O=function(){function e(e,t,o,n,i,r,s,a,c,u){this._overlay=e,this._elementRef=t,this._ngZone=o,this._scrollDispatcher=n,this._platform=i,this._focusMonitor=r,this._dir=c,this._disabled=!1,this._panelClass=[],this._overlayRef=null,this._destroyed=new l.Subject,this._showTimeoutId=null,this._hideTimeoutId=null,this._longPressTimeoutId=null,this._touchStartPosition=null,this._placementClass=null,this._triggerListeners=[],this._scrollStrategy=s,this._document=a,this._defaultOptions=Object.assign(Object.assign({},d),u),this._position=this._defaultOptions.position,this._showDelay=this._defaultOptions.showDelay,this._hideDelay=this._defaultOptions.hideDelay,this._hoverIntent=new P(t.nativeElement,o)}return Object.defineProperty(e.prototype,"position",{get:function(){return this._position},set:function(e){e!==this._position&&(this._position=e,this._overlayRef&&(this._updatePosition(this._overlayRef),this._overlayRef.updatePosition()))},enumerable:!1,configurable:!0}),Object.defineProperty(e.prototype,"disabled",{get:function(){return this._disabled},set:function(e){this._disabled=r.coerceBooleanProperty(e),this._disabled&&this.hide(0)},enumerable:!1,configurable:!0}),Object.defineProperty(e.prototype,"showDelay",{get:function(){return this._showDelay},set:function(e){this._showDelay=r.coerceNumberProperty(e)},enumerable:!1,configurable:!0}),Object.defineProperty(e.prototype,"hideDelay",{get:function(){return this._hideDelay},set:function(e){this._hideDelay=r.coerceNumberProperty(e)},enumerable:!1,configurable:!0}),Object.defineProperty(e.prototype,"panelClass",{get:function(){return this._panelClass},set:function(e){this._overlayRef&&(this._overlayRef.removePanelClass(this._panelClass),this._overlayRef.addPanelClass(e)),this._panelClass=e},enumerable:!1,configurable:!0}),e.prototype.ngAfterViewInit=function(){var e=this;this._bindTriggerListeners(),this._focusMonitor.monitor(this._elementRef).pipe(c.takeUntil(this._destroyed)).subscribe((function(t){e._showsOnHoverAndFocus()&&(t?"keyboard"===t&&e.show():e._hideIfFocusLeft())}))},e.prototype.ngOnDestroy=function(){var e=this._elementRef.nativeElement;this._clearShowTimeout(),this._clearHideTimeout(),this._clearLongPressTimeout(),this._hoverIntent.stop(),this._triggerListeners.forEach((function(t){var o=T(t,2);e.removeEventListener(o[0],o[1],w)})),this._triggerListeners.length=0,this._focusMonitor.stopMonitoring(e),this._overlayRef&&(this._overlayRef.dispose(),this._overlayRef=null),this._destroyed.next(),this._destroyed.complete()},e.prototype.isShown=function(){return!!this._overlayRef&&this._overlayRef.hasAttached()},e.prototype.show=function(e){var t=this;void 0===e&&(e=this.showDelay),!this.disabled&&this._hasContent()&&(this._clearHideTimeout(),this.isShown()||(e>0?null===this._showTimeoutId&&(this._showTimeoutId=setTimeout((function(){t._showTimeoutId=null,t._attach()}),e)):(this._clearShowTimeout(),this._attach())))},e.prototype.hide=function(e){var t=this;void 0===e&&(e=this.hideDelay),this._clearShowTimeout(),this._hoverIntent.stop(),this.isShown()&&(e>0?null===this._hideTimeoutId&&(this._hideTimeoutId=setTimeout((function(){t._hideTimeoutId=null,t._detach()}),e)):(this._clearHideTimeout(),this._detach()))},e.prototype.toggle=function(){this.isShown()?this.hide(0):this.show(0)},e.prototype.updatePosition=function(){this._overlayRef&&this._overlayRef.updatePosition()},e.prototype._onOverlayCreated=function(e){},e.prototype._onDetached=function(){},e.prototype._handleEscape=function(){this.hide(0)},e.prototype._isInsidePanel=function(e){return!!e&&!!this._overlayRef&&this._overlayRef.overlayElement.contains(e)},e.prototype._attach=function(){var e=this._getOverlayRef();this._updatePosition(e),this._attachContent(e)},e.prototype._detach=function(){this.isShown()&&this._overlayRef.detach()},e.prototype._getOverlayRef=function(){var e=this;if(this._overlayRef)return this._overlayRef;var t=this._scrollDispatcher.getAncestorScrollContainers(this._elementRef),o=this._overlay.position().flexibleConnectedTo(this._elementRef).withFlexibleDimensions(!1).withViewportMargin(8).withScrollableContainers(t).withArrowOn("."+this._classPrefix+"-arrow",4);o.positionChanges.pipe(c.takeUntil(this._destroyed)).subscribe((function(t){e._updatePlacementClass(t.connectionPair),t.scrollableViewProperties.isOverlayClipped&&e.isShown()&&e._ngZone.run((function(){return e.hide(0)}))}));var n=this._overlayRef=this._overlay.create({direction:this._dir,positionStrategy:o,panelClass:this._panelClass,scrollStrategy:this._scrollStrategy()});return n.addPanelClass(this._classPrefix+"-panel"),n.detachments().pipe(c.takeUntil(this._destroyed)).subscribe((function(){return e._onDetached()})),n.keydownEvents().pipe(c.filter((function(e){return e.keyCode===s.ESCAPE&&!s.hasModifierKey(e)})),c.takeUntil(this._destroyed)).subscribe((function(t){t.preventDefault(),t.stopPropagation(),e._ngZone.run((function(){return e._handleEscape()}))})),this._bindPanelListeners(n.overlayElement),this._onOverlayCreated(n),n},e.prototype._updatePosition=function(e){e.getConfig().positionStrategy.withPositions(g(this.position,this._isRtl()))},e.prototype._updatePlacementClass=function(e){var t;t="top"===e.originY&&"bottom"===e.overlayY?"above":"bottom"===e.originY&&"top"===e.overlayY?"below":"end"===e.overlayX!==this._isRtl()?"left":"right";var o=this._classPrefix+"-panel-"+t;this._overlayRef&&o!==this._placementClass&&(this._placementClass&&this._overlayRef.removePanelClass(this._placementClass),this._overlayRef.addPanelClass(o),this._placementClass=o)},e.prototype._bindTriggerListeners=function(){var e=this,t=this._elementRef.nativeElement;this._platformSupportsMouseEvents()?this._triggerListeners.push(["mouseenter",function(t){return e._handleMouseenter(t)}],["mouseleave",function(t){return e._handleMouseleave(t)}]):(this._disableNativeGesturesIfNecessary(),this._triggerListeners.push(["touchstart",function(t){return e._handleTouchstart(t)}],["touchmove",function(t){return e._handleTouchmove(t)}],["touchend",function(){return e._handleTouchend()}],["touchcancel",function(){return e._handleTouchend()}])),this._ngZone.runOutsideAngular((function(){e._triggerListeners.forEach((function(e){var o=T(e,2);t.addEventListener(o[0],o[1],w)}))}))},e.prototype._bindPanelListeners=function(e){var t=this;this._ngZone.runOutsideAngular((function(){e.addEventListener("mouseenter",(function(){t._showsOnHoverAndFocus()&&t._clearHideTimeout()})),e.addEventListener("mouseleave",(function(e){var o=e.relatedTarget;t._showsOnHoverAndFocus()&&!t._elementRef.nativeElement.contains(o)&&t._ngZone.run((function(){return t.hide()}))})),e.addEventListener("focusout",(function(){t._showsOnHoverAndFocus()&&t._hideIfFocusLeft()}))}))},e.prototype._handleMouseenter=function(e){var t=this;if(!this.disabled&&this._showsOnHoverAndFocus())if(this.isShown())this._clearHideTimeout();else{var o=this._defaultOptions;this._hoverIntent.track(e,o.hoverIntentSensitivity,o.hoverIntentInterval,(function(){t.show()}))}},e.prototype._handleMouseleave=function(e){var t=this;this._hoverIntent.stop(),this._showsOnHoverAndFocus()&&!this._isInsidePanel(e.relatedTarget)&&this._ngZone.run((function(){return t.hide()}))},e.prototype._handleTouchstart=function(e){var t=this;if(!this.disabled&&this._showsOnHoverAndFocus()){var o=e.touches[0];this._touchStartPosition=o?{x:o.clientX,y:o.clientY}:null,this._clearLongPressTimeout(),this._longPressTimeoutId=setTimeout((function(){t._longPressTimeoutId=null,t._ngZone.run((function(){return t.show(0)}))}),this._defaultOptions.touchLongPressShowDelay)}},e.prototype._handleTouchmove=function(e){var t=this._touchStartPosition,o=e.touches[0];t&&o&&Math.abs(o.clientX-t.x)+Math.abs(o.clientY-t.y)>10&&this._clearLongPressTimeout()},e.prototype._handleTouchend=function(){var e=this;this._touchStartPosition=null,this._clearLongPressTimeout(),this.isShown()&&this._ngZone.run((function(){return e.hide(e._defaultOptions.touchendHideDelay)}))},e.prototype._hideIfFocusLeft=function(){var e=this;Promise.resolve().then((function(){var t=e._document.activeElement;e._elementRef.nativeElement.contains(t)||e._isInsidePanel(t)||e._ngZone.run((function(){return e.hide(0)}))}))},e.prototype._disableNativeGesturesIfNecessary=function(){var e=this._elementRef.nativeElement,t=e.style;"INPUT"!==e.nodeName&&"TEXTAREA"!==e.nodeName&&(t.userSelect=t.msUserSelect=t.webkitUserSelect=t.MozUserSelect="none"),t.webkitTouchCallout="none"},e.prototype._platformSupportsMouseEvents=function(){return!this._platform.IOS&&!this._platform.ANDROID},e.prototype._isRtl=function(){return!!this._dir&&"rtl"===this._dir.value},e.prototype._clearShowTimeout=function(){null!==this._showTimeoutId&&(clearTimeout(this._showTimeoutId),this._showTimeoutId=null)},e.prototype._clearHideTimeout=function(){null!==this._hideTimeoutId&&(clearTimeout(this._hideTimeoutId),this._hideTimeoutId=null)},e.prototype._clearLongPressTimeout=function(){null!==this._longPressTimeoutId&&(clearTimeout(this._longPressTimeoutId),this._longPressTimeoutId=null)},e}();O.decorators=[{type:o.Directive}],O.ctorParameters=function(){return[{type:t.Overlay},{type:o.ElementRef},{type:o.NgZone},{type:t.ScrollDispatcher},{type:a.Platform},{type:n.FocusMonitor},{type:void 0},{type:void 0},{type:i.Directionality},{type:void 0}]};
+/**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+var k=function(){function e(e){this._changeDetectorRef=e,this.message=""}return e.prototype._setMessage=function(e){this.message=e,this._changeDetectorRef.markForCheck()},e}();k.decorators=[{type:o.Component,args:[{selector:"cdk-tooltip",template:"{{message}}",encapsulation:o.ViewEncapsulation.None,changeDetection:o.ChangeDetectionStrategy.OnPush,host:{class:"cdk-tooltip","aria-hidden":"true"}}]}],k.ctorParameters=function(){return[{type:o.ChangeDetectorRef}]};var D=function(e){function t(t,o,n,i,r,s,a,l,c,u,h,p){var d=e.call(this,t,o,n,i,r,s,c,u,h,p)||this;return d._viewContainerRef=a,d._ariaDescriber=l,d._message="",d._classPrefix="cdk-tooltip",d._container=null,d._portal=null,d}return b(t,e),Object.defineProperty(t.prototype,"message",{get:function(){return this._message},set:function(e){var t=this,o=this._elementRef.nativeElement,n=null!=e?(""+e).trim():"";this._ariaDescriber.removeDescription(o,this._message,"tooltip"),this._message=n,!n&&this.isShown()?this.hide(0):(this._updateMessage(),this._ngZone.runOutsideAngular((function(){Promise.resolve().then((function(){n!==t._message||t._destroyed.isStopped||t._ariaDescriber.describe(o,n,"tooltip")}))})))},enumerable:!1,configurable:!0}),t.prototype.ngOnDestroy=function(){var t=this._elementRef.nativeElement;e.prototype.ngOnDestroy.call(this),this._ariaDescriber.removeDescription(t,this._message,"tooltip")},t.prototype._hasContent=function(){return!!this._message},t.prototype._showsOnHoverAndFocus=function(){return!0},t.prototype._attachContent=function(e){this._portal||(this._portal=new u.ComponentPortal(k,this._viewContainerRef)),this._container=e.attach(this._portal).instance,this._updateMessage()},t.prototype._onDetached=function(){this._container=null},t.prototype._updateMessage=function(){var e=this;this._container&&(this._container._setMessage(this._message),this._ngZone.onMicrotaskEmpty.asObservable().pipe(c.take(1)).subscribe((function(){e.updatePosition()})))},t}(O);D.decorators=[{type:o.Directive,args:[{selector:"[cdkTooltip]",exportAs:"cdkTooltip",inputs:["position: cdkTooltipPosition","disabled: cdkTooltipDisabled","showDelay: cdkTooltipShowDelay","hideDelay: cdkTooltipHideDelay","panelClass: cdkTooltipPanelClass"],host:{class:"cdk-tooltip-trigger"}}]}],D.ctorParameters=function(){return[{type:t.Overlay},{type:o.ElementRef},{type:o.NgZone},{type:t.ScrollDispatcher},{type:a.Platform},{type:n.FocusMonitor},{type:o.ViewContainerRef},{type:n.AriaDescriber},{type:void 0,decorators:[{type:o.Inject,args:[_]}]},{type:void 0,decorators:[{type:o.Inject,args:[h.DOCUMENT]}]},{type:i.Directionality,decorators:[{type:o.Optional}]},{type:void 0,decorators:[{type:o.Optional},{type:o.Inject,args:[p]}]}]},D.propDecorators={message:[{type:o.Input,args:["cdkTooltip"]}]};var C=0,I=function(e){function t(t,n,i,r,s,a,l,c,u,h,p){var d=e.call(this,t,n,i,r,s,a,c,u,h,p)||this;return d._viewContainerRef=l,d._template=null,d.triggerOn="click",d.panelId="cdk-popover-"+C++,d.shown=new o.EventEmitter,d.hidden=new o.EventEmitter,d._classPrefix="cdk-popover",d._portal=null,d}return b(t,e),Object.defineProperty(t.prototype,"template",{get:function(){return this._template},set:function(e){e!==this._template&&(this.hide(0),this._template=e,this._portal=null)},enumerable:!1,configurable:!0}),t.prototype._handleClick=function(){"click"===this.triggerOn&&this.toggle()},t.prototype._hasContent=function(){return!!this._template},t.prototype._showsOnHoverAndFocus=function(){return"hover"===this.triggerOn},t.prototype._onOverlayCreated=function(e){var t=this,o=e.overlayElement;o.id=this.panelId,o.setAttribute("role","dialog"),e.outsidePointerEvents().pipe(c.takeUntil(this._destroyed)).subscribe((function(e){t._elementRef.nativeElement.contains(e.target)||t._ngZone.run((function(){return t.hide(0)}))}))},t.prototype._attachContent=function(e){this._portal||(this._portal=new u.TemplatePortal(this._template,this._viewContainerRef)),e.attach(this._portal),this.shown.emit()},t.prototype._onDetached=function(){this.hidden.emit()},t.prototype._handleEscape=function(){var e=this._isInsidePanel(this._document.activeElement);this.hide(0),e&&this._elementRef.nativeElement.focus()},t}(O);I.decorators=[{type:o.Directive,args:[{selector:"[cdkPopover]",exportAs:"cdkPopover",inputs:["position: cdkPopoverPosition","disabled: cdkPopoverDisabled","showDelay: cdkPopoverShowDelay","hideDelay: cdkPopoverHideDelay","panelClass: cdkPopoverPanelClass"],host:{class:"cdk-popover-trigger","aria-haspopup":"dialog","[attr.aria-expanded]":"isShown()","[attr.aria-controls]":"isShown() ? panelId : null","(click)":"_handleClick()"}}]}],I.ctorParameters=function(){return[{type:t.Overlay},{type:o.ElementRef},{type:o.NgZone},{type:t.ScrollDispatcher},{type:a.Platform},{type:n.FocusMonitor},{type:o.ViewContainerRef},{type:void 0,decorators:[{type:o.Inject,args:[_]}]},{type:void 0,decorators:[{type:o.Inject,args:[h.DOCUMENT]}]},{type:i.Directionality,decorators:[{type:o.Optional}]},{type:void 0,decorators:[{type:o.Optional},{type:o.Inject,args:[p]}]}]},I.propDecorators={template:[{type:o.Input,args:["cdkPopover"]}],triggerOn:[{type:o.Input,args:["cdkPopoverTriggerOn"]}],shown:[{type:o.Output,args:["cdkPopoverShown"]}],hidden:[{type:o.Output,args:["cdkPopoverHidden"]}]};var R,S=[D,I];(R=function R(){}).decorators=[{type:o.NgModule,args:[{imports:[t.OverlayModule,n.A11yModule],exports:S,declarations:function E(){for(var e=[],t=0;t<arguments.length;t++)e=e.concat(T(arguments[t]));return e}(S,[k]),providers:[y],entryComponents:[k]}]}],
+/**
+     * @license
+     * Copyright Google LLC All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+e.CDK_TOOLTIP_BASE_DEFAULT_OPTIONS=d,e.CDK_TOOLTIP_DEFAULT_OPTIONS=p,e.CDK_TOOLTIP_SCROLL_STRATEGY=_,e.CDK_TOOLTIP_SCROLL_STRATEGY_PROVIDER=y,e.CDK_TOOLTIP_SCROLL_STRATEGY_PROVIDER_FACTORY=f,e.CdkPopover=I,e.CdkTooltip=D,e.CdkTooltipBase=O,e.CdkTooltipContainer=k,e.CdkTooltipModule=R,e.getTooltipConnectedPositions=g,Object.defineProperty(e,"__esModule",{value:!0})}));
\ No newline at end of file
@@ -1,8 +1,8 @@
 (function (global, factory) {
-    typeof exports === 'object' && typeof module !== 'undefined' ? factory(exports, require('@angular/cdk/collections'), require('rxjs'), require('rxjs/operators'), require('@angular/core'), require('@angular/cdk/coercion'), require('@angular/cdk/bidi')) :
-    typeof define === 'function' && define.amd ? define('@angular/cdk/tree', ['exports', '@angular/cdk/collections', 'rxjs', 'rxjs/operators', '@angular/core', '@angular/cdk/coercion', '@angular/cdk/bidi'], factory) :
-    (global = global || self, factory((global.ng = global.ng || {}, global.ng.cdk = global.ng.cdk || {}, global.ng.cdk.tree = {}), global.ng.cdk.collections, global.rxjs, global.rxjs.operators, global.ng.core, global.ng.cdk.coercion, global.ng.cdk.bidi));
-}(this, (function (exports, collections, rxjs, operators, core, coercion, bidi) { 'use strict';
+    typeof exports === 'object' && typeof module !== 'undefined' ? factory(exports, require('@angular/cdk/collections'), require('rxjs'), require('rxjs/operators'), require('@angular/core'), require('@angular/cdk/bidi'), require('@angular/cdk/scrolling'), require('@angular/cdk/a11y'), require('@angular/cdk/keycodes'), require('@angular/cdk/coercion')) :
+    typeof define === 'function' && define.amd ? define('@angular/cdk/tree', ['exports', '@angular/cdk/collections', 'rxjs', 'rxjs/operators', '@angular/core', '@angular/cdk/bidi', '@angular/cdk/scrolling', '@angular/cdk/a11y', '@angular/cdk/keycodes', '@angular/cdk/coercion'], factory) :
+    (global = global || self, factory((global.ng = global.ng || {}, global.ng.cdk = global.ng.cdk || {}, global.ng.cdk.tree = {}), global.ng.cdk.collections, global.rxjs, global.rxjs.operators, global.ng.core, global.ng.cdk.bidi, global.ng.cdk.scrolling, global.ng.cdk.a11y, global.ng.cdk.keycodes, global.ng.cdk.coercion));
+}(this, (function (exports, collections, rxjs, operators, core, bidi, scrolling, a11y, keycodes, coercion) { 'use strict';
 
     /*! *****************************************************************************
     Copyright (c) Microsoft Corporation.
@@ -318,14 +318,26 @@
         function BaseTreeControl() {
             /** A selection model with multi-selection to track expansion status. */
             this.expansionModel = new collections.SelectionModel(true);
+            /** State of the lazily-loaded children, keyed by the data node's tracking value. */
+            this._childrenStates = new Map();
+            /** Subscriptions to the batches of children that are currently being loaded. */
+            this._childrenSubscriptions = new Map();
+            /** Emits a data node whenever the state of its lazily-loaded children changes. */
+            this._childrenStateChanges = new rxjs.Subject();
+            /** Stream that emits a data node whenever the state of its lazily-loaded children changes. */
+            this.childrenStateChanges = this._childrenStateChanges;
         }
         /** Toggles one single data node's expanded/collapsed state. */
         BaseTreeControl.prototype.toggle = function (dataNode) {
             this.expansionModel.toggle(this._trackByValue(dataNode));
+            if (this.isExpanded(dataNode)) {
+                this._loadChildrenOnFirstExpand(dataNode);
+            }
         };
         /** Expands one single data node. */
         BaseTreeControl.prototype.expand = function (dataNode) {
             this.expansionModel.select(this._trackByValue(dataNode));
+            this._loadChildrenOnFirstExpand(dataNode);
         };
         /** Collapses one single data node. */
         BaseTreeControl.prototype.collapse = function (dataNode) {
@@ -347,19 +359,108 @@
         };
         /** Expands a subtree rooted at given data node recursively. */
         BaseTreeControl.prototype.expandDescendants = function (dataNode) {
-            var _a;
+            var _b;
             var _this = this;
             var toBeProcessed = [dataNode];
             toBeProcessed.push.apply(toBeProcessed, __spread(this.getDescendants(dataNode)));
-            (_a = this.expansionModel).select.apply(_a, __spread(toBeProcessed.map(function (value) { return _this._trackByValue(value); })));
+            (_b = this.expansionModel).select.apply(_b, __spread(toBeProcessed.map(function (value) { return _this._trackByValue(value); })));
         };
         /** Collapses a subtree rooted at given data node recursively. */
         BaseTreeControl.prototype.collapseDescendants = function (dataNode) {
-            var _a;
+            var _b;
             var _this = this;
             var toBeProcessed = [dataNode];
             toBeProcessed.push.apply(toBeProcessed, __spread(this.getDescendants(dataNode)));
-            (_a = this.expansionModel).deselect.apply(_a, __spread(toBeProcessed.map(function (value) { return _this._trackByValue(value); })));
+            (_b = this.expansionModel).deselect.apply(_b, __spread(toBeProcessed.map(function (value) { return _this._trackByValue(value); })));
+        };
+        /**
+         * Gets the state of the lazily-loaded children of a data node. Returns null if
+         * no children have been requested for the data node yet.
+         */
+        BaseTreeControl.prototype.getChildrenState = function (dataNode) {
+            return this._childrenStates.get(this._trackByValue(dataNode)) || null;
+        };
+        /**
+         * Gets a stream of the lazily-loaded children of a data node. Emits the children that have
+         * been loaded so far whenever the state of the data node's children changes.
+         */
+        BaseTreeControl.prototype.getLoadedChildren = function (dataNode) {
+            var _this = this;
+            var key = this._trackByValue(dataNode);
+            return this._childrenStateChanges.pipe(operators.filter(function (changedNode) { return _this._trackByValue(changedNode) === key; }), operators.startWith(dataNode), operators.map(function () {
+                var state = _this._childrenStates.get(key);
+                return state ? state.children : [];
+            }));
+        };
+        /**
+         * Loads the next batch of children of a data node. If loading the previous
+         * batch failed, the failed batch will be requested again.
+         */
+        BaseTreeControl.prototype.loadMoreChildren = function (dataNode) {
+            var _this = this;
+            var key = this._trackByValue(dataNode);
+            var state = this._childrenStates.get(key) ||
+                { children: [], loading: false, error: null, hasMore: true };
+            if (!this.loadChildren || state.loading || !state.hasMore) {
+                return;
+            }
+            var hasLoaded = false;
+            this._setChildrenState(dataNode, Object.assign(Object.assign({}, state), { loading: true, error: null }));
+            var batchStream = this.loadChildren(dataNode, state.children.length).pipe(operators.take(1));
+            var subscription = batchStream.subscribe({
+                next: function (result) {
+                    var batch = Array.isArray(result) ? { children: result, hasMore: false } : result;
+                    hasLoaded = true;
+                    _this._setChildrenState(dataNode, {
+                        children: __spread(state.children, batch.children),
+                        loading: false,
+                        error: null,
+                        hasMore: !!batch.hasMore
+                    });
+                },
+                error: function (error) {
+                    _this._childrenSubscriptions.delete(key);
+                    _this._setChildrenState(dataNode, Object.assign(Object.assign({}, state), { loading: false, error: error }));
+                },
+                complete: function () {
+                    _this._childrenSubscriptions.delete(key);
+                    // If the stream completed without emitting, assume that there are no more children.
+                    if (!hasLoaded) {
+                        _this._setChildrenState(dataNode, Object.assign(Object.assign({}, state), { loading: false, hasMore: false }));
+                    }
+                }
+            });
+            // The loader might have emitted synchronously in which case the subscription is already done.
+            if (!subscription.closed) {
+                this._childrenSubscriptions.set(key, subscription);
+            }
+        };
+        /** Retries loading the children of a data node if loading the last batch failed. */
+        BaseTreeControl.prototype.retryLoadingChildren = function (dataNode) {
+            var state = this.getChildrenState(dataNode);
+            if (state && state.error) {
+                this.loadMoreChildren(dataNode);
+            }
+        };
+        /** Discards the lazily-loaded children of a data node and loads them again from the start. */
+        BaseTreeControl.prototype.reloadChildren = function (dataNode) {
+            var _a;
+            var key = this._trackByValue(dataNode);
+            (_a = this._childrenSubscriptions.get(key)) === null || _a === void 0 ? void 0 : _a.unsubscribe();
+            this._childrenSubscriptions.delete(key);
+            this._childrenStates.delete(key);
+            this.loadMoreChildren(dataNode);
+        };
+        /** Loads the first batch of children of a data node, unless it has been loaded already. */
+        BaseTreeControl.prototype._loadChildrenOnFirstExpand = function (dataNode) {
+            if (this.loadChildren && !this._childrenStates.has(this._trackByValue(dataNode))) {
+                this.loadMoreChildren(dataNode);
+            }
+        };
+        /** Updates the state of the lazily-loaded children of a data node. */
+        BaseTreeControl.prototype._setChildrenState = function (dataNode, state) {
+            this._childrenStates.set(this._trackByValue(dataNode), state);
+            this._childrenStateChanges.next(dataNode);
         };
         BaseTreeControl.prototype._trackByValue = function (value) {
             return this.trackBy ? this.trackBy(value) : value;
@@ -378,6 +479,7 @@
             _this.options = options;
             if (_this.options) {
                 _this.trackBy = _this.options.trackBy;
+                _this.loadChildren = _this.options.loadChildren;
             }
             return _this;
         }
@@ -425,6 +527,17 @@
             _this.options = options;
             if (_this.options) {
                 _this.trackBy = _this.options.trackBy;
+                _this.loadChildren = _this.options.loadChildren;
+            }
+            if (_this.loadChildren) {
+                var getKnownChildren_1 = _this.getChildren;
+                // Fall back to the lazily-loaded children if the children of a node aren't known up-front.
+                // Data sources commonly use an empty array for children that haven't been loaded yet.
+                _this.getChildren = function (dataNode) {
+                    var knownChildren = getKnownChildren_1(dataNode);
+                    return knownChildren && (!Array.isArray(knownChildren) || knownChildren.length) ?
+                        knownChildren : _this.getLoadedChildren(dataNode);
+                };
             }
             return _this;
         }
@@ -529,6 +642,13 @@
         }
         return CdkTreeNodeOutletContext;
     }());
+    /** Context provided to the placeholder that is shown while the children of a node are loaded. */
+    var CdkTreeNodePlaceholderContext = /** @class */ (function () {
+        function CdkTreeNodePlaceholderContext(data) {
+            this.$implicit = data;
+        }
+        return CdkTreeNodePlaceholderContext;
+    }());
     /**
      * Data node definition for the CdkTree.
      * Captures the node's template and a when predicate that describes when this node should be used.
@@ -551,6 +671,200 @@
     CdkTreeNodeDef.ctorParameters = function () { return [
         { type: core.TemplateRef }
     ]; };
+    /**
+     * Placeholder definition for the CdkTree. Rendered after the children of a node whose children
+     * are loaded lazily, while they are loading, if loading them failed or if more can be loaded.
+     * Captures the template of the placeholder.
+     */
+    var CdkTreeNodePlaceholderDef = /** @class */ (function () {
+        /** @docs-private */
+        function CdkTreeNodePlaceholderDef(template) {
+            this.template = template;
+        }
+        return CdkTreeNodePlaceholderDef;
+    }());
+    CdkTreeNodePlaceholderDef.decorators = [
+        { type: core.Directive, args: [{
+                    selector: '[cdkTreeNodePlaceholderDef]',
+                },] }
+    ];
+    CdkTreeNodePlaceholderDef.ctorParameters = function () { return [
+        { type: core.TemplateRef }
+    ]; };
+
+    /**
+     * Manages keyboard navigation within a tree, following the WAI-ARIA tree view pattern. Up and
+     * down arrows move between the visible items, right arrow expands an item or moves to its first
+     * child, left arrow collapses an item or moves to its parent and `*` expands all of the siblings
+     * of the active item. Supports Home/End and type-ahead through an underlying `FocusKeyManager`.
+     * The items have to be provided in the order in which they appear in the tree.
+     */
+    var TreeKeyManager = /** @class */ (function () {
+        function TreeKeyManager(_items) {
+            var _this = this;
+            this._items = _items;
+            /** Items whose ancestors are all expanded. Kept in sync with the list of all items. */
+            this._visibleItems = [];
+            /** Key manager that handles the navigation between the visible items. */
+            this._keyManager = new a11y.FocusKeyManager(this._visibleItems)
+                .withVerticalOrientation()
+                .withHomeAndEnd();
+            /** Text direction of the tree. Determines which horizontal key expands an item. */
+            this._direction = 'ltr';
+            /** Stream that emits whenever the active item changes. */
+            this.change = this._keyManager.change.pipe(operators.map(function (index) { return _this._visibleItems[index]; }));
+        }
+        /**
+         * Turns on type-ahead mode which allows users to set the active item by typing.
+         * @param debounceInterval Time to wait after the last keystroke before setting the active item.
+         */
+        TreeKeyManager.prototype.withTypeAhead = function (debounceInterval) {
+            this._keyManager.withTypeAhead(debounceInterval);
+            return this;
+        };
+        /**
+         * Configures the direction of the tree. In a right-to-left tree the left arrow
+         * expands items and the right arrow collapses them.
+         * @param direction Direction in which the tree is laid out.
+         */
+        TreeKeyManager.prototype.withHorizontalOrientation = function (direction) {
+            this._direction = direction;
+            return this;
+        };
+        Object.defineProperty(TreeKeyManager.prototype, "activeItem", {
+            /** The active item. */
+            get: function () {
+                return this._keyManager.activeItem;
+            },
+            enumerable: false,
+            configurable: true
+        });
+        /** Sets the active item and focuses it. */
+        TreeKeyManager.prototype.setActiveItem = function (item) {
+            this._updateVisibleItems();
+            this._keyManager.setActiveItem(item);
+        };
+        /**
+         * Sets the active item without focusing it or emitting through the `change` stream. Useful
+         * for keeping the key manager in sync when an item received focus through other means.
+         */
+        TreeKeyManager.prototype.updateActiveItem = function (item) {
+            this._updateVisibleItems();
+            this._keyManager.updateActiveItem(item);
+        };
+        /** Sets the active item depending on the key event passed in. */
+        TreeKeyManager.prototype.onKeydown = function (event) {
+            this._updateVisibleItems();
+            var keyCode = event.keyCode;
+            var expandKey = this._direction === 'rtl' ? keycodes.LEFT_ARROW : keycodes.RIGHT_ARROW;
+            var collapseKey = this._direction === 'rtl' ? keycodes.RIGHT_ARROW : keycodes.LEFT_ARROW;
+            var activeItem = this.activeItem;
+            if (keyCode === expandKey || keyCode === collapseKey) {
+                if (keycodes.hasModifierKey(event)) {
+                    return;
+                }
+                if (!activeItem) {
+                    this._keyManager.setFirstItemActive();
+                }
+                else if (keyCode === expandKey) {
+                    this._expandOrFocusFirstChild(activeItem);
+                }
+                else {
+                    this._collapseOrFocusParent(activeItem);
+                }
+            }
+            else if (event.key === '*' && activeItem) {
+                this._expandSiblings(activeItem);
+            }
+            else {
+                this._keyManager.onKeydown(event);
+                return;
+            }
+            event.preventDefault();
+        };
+        /** Expands the item if it's collapsed, otherwise moves focus to its first child. */
+        TreeKeyManager.prototype._expandOrFocusFirstChild = function (item) {
+            if (!item.isExpandable) {
+                return;
+            }
+            if (!item.isExpanded) {
+                item.expand();
+            }
+            else {
+                var nextItem = this._visibleItems[this._visibleItems.indexOf(item) + 1];
+                if (nextItem && nextItem.level > item.level) {
+                    this._keyManager.setActiveItem(nextItem);
+                }
+            }
+        };
+        /** Collapses the item if it's expanded, otherwise moves focus to its parent. */
+        TreeKeyManager.prototype._collapseOrFocusParent = function (item) {
+            if (item.isExpandable && item.isExpanded) {
+                item.collapse();
+            }
+            else {
+                var parent = this._getParent(item);
+                if (parent) {
+                    this._keyManager.setActiveItem(parent);
+                }
+            }
+        };
+        /** Expands all of the siblings of the specified item, including the item itself. */
+        TreeKeyManager.prototype._expandSiblings = function (item) {
+            var _this = this;
+            var parent = this._getParent(item);
+            this._getItemsArray().forEach(function (sibling) {
+                if (sibling.level === item.level && sibling.isExpandable && !sibling.isExpanded &&
+                    _this._getParent(sibling) === parent) {
+                    sibling.expand();
+                }
+            });
+        };
+        /** Gets the parent of an item. Relies on the items being in the same order as in the tree. */
+        TreeKeyManager.prototype._getParent = function (item) {
+            var items = this._getItemsArray();
+            for (var i = items.indexOf(item) - 1; i > -1; i--) {
+                if (items[i].level < item.level) {
+                    return items[i];
+                }
+            }
+            return null;
+        };
+        /** Updates the list of visible items based on the expanded state of their ancestors. */
+        TreeKeyManager.prototype._updateVisibleItems = function () {
+            var e_1, _a;
+            var ancestors = [];
+            this._visibleItems.length = 0;
+            try {
+                for (var _b = __values(this._getItemsArray()), _c = _b.next(); !_c.done; _c = _b.next()) {
+                    var item = _c.value;
+                    var level = item.level;
+                    ancestors.length = Math.min(ancestors.length, level);
+                    if (ancestors.every(function (ancestor) { return ancestor.isExpanded; })) {
+                        this._visibleItems.push(item);
+                    }
+                    ancestors[level] = item;
+                }
+            }
+            catch (e_1_1) { e_1 = { error: e_1_1 }; }
+            finally {
+                try {
+                    if (_c && !_c.done && (_a = _b.return)) _a.call(_b);
+                }
+                finally { if (e_1) throw e_1.error; }
+            }
+            // Sync up the active item's index since the visible items might have changed.
+            var activeItem = this._keyManager.activeItem;
+            if (activeItem) {
+                this._keyManager.updateActiveItem(activeItem);
+            }
+        };
+        /** Gets the list of all items as an array. */
+        TreeKeyManager.prototype._getItemsArray = function () {
+            return this._items instanceof core.QueryList ? this._items.toArray() : this._items;
+        };
+        return TreeKeyManager;
+    }());
 
     /**
      * @license
@@ -594,19 +908,70 @@
     function getTreeControlFunctionsMissingError() {
         return Error("Could not find functions for nested/flat tree in tree control.");
     }
+    /**
+     * Returns an error to be thrown when virtual scrolling is enabled for a tree that doesn't
+     * use a flat tree control.
+     * @docs-private
+     */
+    function getTreeVirtualScrollRequiresFlatTreeError() {
+        return Error("Virtual scrolling is only supported for trees with a flat tree control.");
+    }
 
+    /**
+     * Injection token used to provide the virtual scroll viewport in which a tree should only render
+     * the nodes that are in view.
+     * @docs-private
+     */
+    var _TREE_VIRTUAL_SCROLL_VIEWPORT = new core.InjectionToken('_TREE_VIRTUAL_SCROLL_VIEWPORT');
+    /**
+     * Enables virtual scrolling for a flat tree that is placed inside of a
+     * `cdk-virtual-scroll-viewport`. Only the flattened nodes within the viewport's rendered range
+     * will be rendered.
+     */
+    var CdkTreeVirtualScroll = /** @class */ (function () {
+        function CdkTreeVirtualScroll() {
+        }
+        return CdkTreeVirtualScroll;
+    }());
+    CdkTreeVirtualScroll.decorators = [
+        { type: core.Directive, args: [{
+                    selector: 'cdk-tree[virtualScroll]',
+                    providers: [
+                        { provide: _TREE_VIRTUAL_SCROLL_VIEWPORT, useExisting: scrolling.CdkVirtualScrollViewport },
+                    ],
+                },] }
+    ];
     /**
      * CDK tree component that connects with a data source to retrieve data of type `T` and renders
      * dataNodes with hierarchy. Updates the dataNodes when new data is provided by the data source.
      */
     var CdkTree = /** @class */ (function () {
-        function CdkTree(_differs, _changeDetectorRef) {
+        function CdkTree(_differs, _changeDetectorRef, 
+        /**
+         * @deprecated `_ngZone` parameter to become required.
+         * @breaking-change 14.0.0
+         */
+        _ngZone, _virtualScrollViewport, _dir) {
+            var _this = this;
             this._differs = _differs;
             this._changeDetectorRef = _changeDetectorRef;
+            this._ngZone = _ngZone;
+            this._virtualScrollViewport = _virtualScrollViewport;
+            this._dir = _dir;
             /** Subject that emits when the component has been destroyed. */
             this._onDestroy = new rxjs.Subject();
             /** Level of nodes */
             this._levels = new Map();
+            /** Range of nodes that should be rendered. Only set when virtual scrolling. */
+            this._renderedRange = null;
+            /** Emits the latest flattened data to the virtual scroll viewport. */
+            this._virtualScrollDataStream = new rxjs.Subject();
+            /** All of the nodes that are currently rendered in the tree, in the order they appear in. */
+            this._nodes = [];
+            /** Whether an update of the rendered nodes has been scheduled. */
+            this._nodeUpdateScheduled = false;
+            /** Contexts of the placeholders that are rendered, keyed by the node whose children they load. */
+            this._placeholderContexts = new Map();
             // TODO(tinayuangao): Setup a listener for scrolling, emit the calculated view to viewChange.
             //     Remove the MAX_VALUE in viewChange
             /**
@@ -614,6 +979,15 @@
              * Can be used by the data source to as a heuristic of what data should be provided.
              */
             this.viewChange = new rxjs.BehaviorSubject({ start: 0, end: Number.MAX_VALUE });
+            /**
+             * Tracking function used by the differs of the tree. Placeholders aren't part of
+             * the data so they're always tracked by identity.
+             * @docs-private
+             */
+            this._trackNode = function (index, item) {
+                return _this.trackBy && !(item instanceof CdkTreeNodePlaceholderContext) ?
+                    _this.trackBy(index, item) : item;
+            };
         }
         Object.defineProperty(CdkTree.prototype, "dataSource", {
             /**
@@ -631,13 +1005,24 @@
             configurable: true
         });
         CdkTree.prototype.ngOnInit = function () {
-            this._dataDiffer = this._differs.find([]).create(this.trackBy);
+            this._dataDiffer = this._differs.find([]).create(this._trackNode);
             if (!this.treeControl && (typeof ngDevMode === 'undefined' || ngDevMode)) {
                 throw getTreeControlMissingError();
             }
+            if (this.treeControl.childrenStateChanges) {
+                this._observeChildrenStateChanges(this.treeControl.childrenStateChanges);
+            }
+            if (this._virtualScrollViewport) {
+                this._setupVirtualScrolling(this._virtualScrollViewport);
+            }
+            this._setupKeyManager();
         };
         CdkTree.prototype.ngOnDestroy = function () {
             this._nodeOutlet.viewContainer.clear();
+            if (this._virtualScrollViewport) {
+                this._virtualScrollViewport.detach();
+            }
+            this._virtualScrollDataStream.complete();
             this.viewChange.complete();
             this._onDestroy.next();
             this._onDestroy.complete();
@@ -659,8 +1044,37 @@
                 this._observeRenderChanges();
             }
         };
-        // TODO(tinayuangao): Work on keyboard traversal and actions, make sure it's working for RTL
-        //     and nested trees.
+        /** Handles keyboard events on the tree. */
+        CdkTree.prototype._handleKeydown = function (event) {
+            this._keyManager.onKeydown(event);
+        };
+        /** Keeps the key manager in sync when one of the nodes is focused through other means. */
+        CdkTree.prototype._handleFocus = function (event) {
+            var node = this._nodes.find(function (current) { return current._getHostElement() === event.target; });
+            if (node && node !== this._keyManager.activeItem) {
+                this._keyManager.updateActiveItem(node);
+                this._updateTabIndex();
+            }
+        };
+        /**
+         * Registers a node that was rendered in the tree.
+         * @docs-private
+         */
+        CdkTree.prototype._registerNode = function (node) {
+            this._nodes.push(node);
+            this._scheduleNodeUpdate();
+        };
+        /**
+         * Removes a node that is no longer rendered in the tree.
+         * @docs-private
+         */
+        CdkTree.prototype._unregisterNode = function (node) {
+            var index = this._nodes.indexOf(node);
+            if (index > -1) {
+                this._nodes.splice(index, 1);
+                this._scheduleNodeUpdate();
+            }
+        };
         /**
          * Switch to the provided data source by resetting the data and unsubscribing from the current
          * render change subscription if one exists. If the data source is null, interpret this by
@@ -706,9 +1120,30 @@
         };
         /** Check for changes made in the data and render each change (node added/removed/moved). */
         CdkTree.prototype.renderNodeChanges = function (data, dataDiffer, viewContainer, parentData) {
-            var _this = this;
             if (dataDiffer === void 0) { dataDiffer = this._dataDiffer; }
             if (viewContainer === void 0) { viewContainer = this._nodeOutlet.viewContainer; }
+            if (viewContainer === this._nodeOutlet.viewContainer) {
+                this._rootData = data;
+                // The positions of the nodes in a flat tree are based on the entire data set, which
+                // can change without any of the rendered nodes changing when virtual scrolling.
+                var isFlatTree = !!this.treeControl.getLevel;
+                if (isFlatTree) {
+                    this._scheduleNodeUpdate();
+                }
+            }
+            data = this._addPlaceholders(data, parentData);
+            // When virtual scrolling, only the nodes within the viewport's rendered range are rendered.
+            if (this._virtualScrollViewport && viewContainer === this._nodeOutlet.viewContainer) {
+                this._data = data;
+                this._virtualScrollDataStream.next(data);
+                this._renderNodesInRange();
+                return;
+            }
+            this._applyNodeChanges(data, dataDiffer, viewContainer, parentData);
+        };
+        /** Diffs the provided data against the rendered nodes and applies the changes to the view. */
+        CdkTree.prototype._applyNodeChanges = function (data, dataDiffer, viewContainer, parentData) {
+            var _this = this;
             var changes = dataDiffer.diff(data);
             if (!changes) {
                 return;
@@ -728,6 +1163,285 @@
             });
             this._changeDetectorRef.detectChanges();
         };
+        /**
+         * Adds the placeholders of the nodes whose children are being loaded lazily to the data.
+         * In a flat tree the placeholder is added after the last descendant of the expanded node
+         * whereas in a nested tree it's added after the children of the parent node.
+         */
+        CdkTree.prototype._addPlaceholders = function (data, parentData) {
+            var e_1, _a;
+            var _this = this;
+            var treeControl = this.treeControl;
+            if (!this._placeholderDef || !treeControl.getChildrenState) {
+                return data;
+            }
+            if (!treeControl.getLevel) {
+                var context = parentData === undefined ? null : this._getPlaceholderContext(parentData);
+                return context ? __spread(data, [context]) : data;
+            }
+            var result = [];
+            var pendingParents = [];
+            var closePendingParents = function (level) {
+                while (pendingParents.length &&
+                    treeControl.getLevel(pendingParents[pendingParents.length - 1]) >= level) {
+                    var context = _this._getPlaceholderContext(pendingParents.pop());
+                    result.push(context);
+                }
+            };
+            try {
+                for (var data_1 = __values(data), data_1_1 = data_1.next(); !data_1_1.done; data_1_1 = data_1.next()) {
+                    var node = data_1_1.value;
+                    closePendingParents(treeControl.getLevel(node));
+                    result.push(node);
+                    if (treeControl.isExpanded(node) &&
+                        this._needsPlaceholder(treeControl.getChildrenState(node))) {
+                        pendingParents.push(node);
+                    }
+                }
+            }
+            catch (e_1_1) { e_1 = { error: e_1_1 }; }
+            finally {
+                try {
+                    if (data_1_1 && !data_1_1.done && (_a = data_1.return)) _a.call(data_1);
+                }
+                finally { if (e_1) throw e_1.error; }
+            }
+            closePendingParents(0);
+            return result;
+        };
+        /**
+         * Gets the context of the placeholder that should be shown after the children of a node.
+         * Returns null if the node doesn't need a placeholder.
+         */
+        CdkTree.prototype._getPlaceholderContext = function (dataNode) {
+            var state = this.treeControl.getChildrenState(dataNode);
+            if (!this._needsPlaceholder(state)) {
+                this._placeholderContexts.delete(dataNode);
+                return null;
+            }
+            // Reuse the same context for a node so that the differ can track the placeholder.
+            var context = this._placeholderContexts.get(dataNode);
+            if (!context) {
+                context = new CdkTreeNodePlaceholderContext(dataNode);
+                this._placeholderContexts.set(dataNode, context);
+            }
+            context.loading = state.loading;
+            context.error = state.error;
+            context.hasMore = state.hasMore;
+            return context;
+        };
+        /** Whether a placeholder should be shown for a node with the specified children state. */
+        CdkTree.prototype._needsPlaceholder = function (state) {
+            return !!state && (state.loading || state.hasMore || state.error != null);
+        };
+        /** Re-renders the placeholders whenever the loading state of a node's children changes. */
+        CdkTree.prototype._observeChildrenStateChanges = function (stateChanges) {
+            var _this = this;
+            // Nested nodes re-render their own children, but in a flat tree the placeholders are part
+            // of the root data which also has to be re-rendered when a node is expanded or collapsed.
+            var isFlatTree = !!this.treeControl.getLevel;
+            var changes = isFlatTree ?
+                rxjs.merge(stateChanges, this.treeControl.expansionModel.changed) : stateChanges;
+            changes.pipe(operators.takeUntil(this._onDestroy)).subscribe(function () {
+                if (_this._placeholderDef && isFlatTree && _this._rootData) {
+                    _this.renderNodeChanges(_this._rootData);
+                }
+                _this._changeDetectorRef.markForCheck();
+            });
+        };
+        /** Renders the flattened nodes that are within the rendered range of the viewport. */
+        CdkTree.prototype._renderNodesInRange = function () {
+            if (this._data && this._renderedRange) {
+                var _a = this._renderedRange, start = _a.start, end = _a.end;
+                this._applyNodeChanges(this._data.slice(start, end), this._dataDiffer, this._nodeOutlet.viewContainer);
+            }
+        };
+        /**
+         * Connects the tree to a virtual scroll viewport so that only the flattened nodes within the
+         * viewport's rendered range are rendered.
+         */
+        CdkTree.prototype._setupVirtualScrolling = function (viewport) {
+            var _this = this;
+            // Nested nodes are rendered inside of their parents so they can't be virtualized.
+            if (!this.treeControl.getLevel && (typeof ngDevMode === 'undefined' || ngDevMode)) {
+                throw getTreeVirtualScrollRequiresFlatTreeError();
+            }
+            this._renderedRange = viewport.getRenderedRange();
+            // The viewport emits its rendered range outside of the NgZone.
+            viewport.renderedRangeStream.pipe(operators.takeUntil(this._onDestroy)).subscribe(function (range) {
+                var update = function () {
+                    _this._renderedRange = range;
+                    _this.viewChange.next(range);
+                    _this._renderNodesInRange();
+                };
+                _this._ngZone ? _this._ngZone.run(update) : update();
+            });
+            viewport.attach({
+                dataStream: this._virtualScrollDataStream,
+                measureRangeSize: function (range, orientation) { return _this._measureRenderedNodesSize(range, orientation); },
+                getItemKey: function (index) {
+                    var node = _this._data ? _this._data[index] : undefined;
+                    var range = _this._renderedRange;
+                    // Use the same keys as the differ, which only sees the nodes in the rendered range
+                    // and tracks placeholders by their identity.
+                    return node === undefined ? node : _this._trackNode(index - (range ? range.start : 0), node);
+                }
+            });
+        };
+        /**
+         * Measures the combined size (width for horizontal orientation, height for vertical) of the
+         * rendered nodes within the specified range. Used by the virtual scroll viewport.
+         */
+        CdkTree.prototype._measureRenderedNodesSize = function (range, orientation) {
+            var renderedRange = this._renderedRange;
+            if (!renderedRange || range.start >= range.end) {
+                return 0;
+            }
+            var viewContainer = this._nodeOutlet.viewContainer;
+            var firstView = viewContainer.get(range.start - renderedRange.start);
+            var lastView = viewContainer.get(range.end - renderedRange.start - 1);
+            if (!firstView || !lastView || !firstView.rootNodes.length || !lastView.rootNodes.length) {
+                return 0;
+            }
+            var firstRect = firstView.rootNodes[0].getBoundingClientRect();
+            var lastRect = lastView.rootNodes[lastView.rootNodes.length - 1].getBoundingClientRect();
+            return orientation === 'horizontal' ?
+                lastRect.right - firstRect.left : lastRect.bottom - firstRect.top;
+        };
+        /** Sets up the key manager that handles the keyboard navigation between nodes. */
+        CdkTree.prototype._setupKeyManager = function () {
+            var _this = this;
+            this._keyManager = new TreeKeyManager(this._nodes)
+                .withTypeAhead()
+                .withHorizontalOrientation(this._dir ? this._dir.value : 'ltr');
+            if (this._dir) {
+                this._dir.change.pipe(operators.takeUntil(this._onDestroy))
+                    .subscribe(function (direction) { return _this._keyManager.withHorizontalOrientation(direction); });
+            }
+            this._keyManager.change.pipe(operators.takeUntil(this._onDestroy))
+                .subscribe(function () { return _this._updateTabIndex(); });
+        };
+        /**
+         * Schedules an update of the rendered nodes. Nodes are usually rendered in batches so we
+         * defer the update until all of them have been registered.
+         */
+        CdkTree.prototype._scheduleNodeUpdate = function () {
+            var _this = this;
+            if (!this._nodeUpdateScheduled) {
+                this._nodeUpdateScheduled = true;
+                Promise.resolve().then(function () {
+                    _this._nodeUpdateScheduled = false;
+                    _this._updateNodes();
+                });
+            }
+        };
+        /**
+         * Sorts the rendered nodes in the order in which they appear in the DOM and updates their
+         * `aria-setsize`, `aria-posinset` and `tabindex` attributes.
+         */
+        CdkTree.prototype._updateNodes = function () {
+            var e_2, _a;
+            this._nodes.sort(function (a, b) {
+                var position = a._getHostElement().compareDocumentPosition(b._getHostElement());
+                return position & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+            });
+            // The positions in a flat tree are based on the data, because only some of the nodes
+            // may be rendered when virtual scrolling. Nested trees always render all of the siblings.
+            var positions = this.treeControl.getLevel && this._rootData ?
+                this._getFlatNodePositions(this._rootData) : this._getRenderedNodePositions();
+            try {
+                for (var _b = __values(this._nodes), _c = _b.next(); !_c.done; _c = _b.next()) {
+                    var node = _c.value;
+                    var position = positions.get(node.data);
+                    if (position) {
+                        var element = node._getHostElement();
+                        element.setAttribute('aria-setsize', "" + position.siblings.length);
+                        element.setAttribute('aria-posinset', "" + (position.index + 1));
+                    }
+                }
+            }
+            catch (e_2_1) { e_2 = { error: e_2_1 }; }
+            finally {
+                try {
+                    if (_c && !_c.done && (_a = _b.return)) _a.call(_b);
+                }
+                finally { if (e_2) throw e_2.error; }
+            }
+            this._updateTabIndex();
+        };
+        /**
+         * Gets the siblings of each of the data nodes of a flat tree, as well as their index
+         * among them, based on the levels of the nodes in the flattened data.
+         */
+        CdkTree.prototype._getFlatNodePositions = function (data) {
+            var e_3, _a;
+            var treeControl = this.treeControl;
+            var positions = new Map();
+            var siblingsByLevel = [];
+            try {
+                // Since the data is flattened, the siblings of a node are the following nodes at the same
+                // level, up until a node with a lower level which starts a different group of siblings.
+                for (var data_2 = __values(data), data_2_1 = data_2.next(); !data_2_1.done; data_2_1 = data_2.next()) {
+                    var dataNode = data_2_1.value;
+                    var level = treeControl.getLevel(dataNode);
+                    siblingsByLevel.length = Math.min(siblingsByLevel.length, level + 1);
+                    var siblings = siblingsByLevel[level] || (siblingsByLevel[level] = []);
+                    positions.set(dataNode, { siblings: siblings, index: siblings.length });
+                    siblings.push(dataNode);
+                }
+            }
+            catch (e_3_1) { e_3 = { error: e_3_1 }; }
+            finally {
+                try {
+                    if (data_2_1 && !data_2_1.done && (_a = data_2.return)) _a.call(data_2);
+                }
+                finally { if (e_3) throw e_3.error; }
+            }
+            return positions;
+        };
+        /**
+         * Gets the siblings of each of the rendered nodes, as well as their index among them, based on
+         * the order of the nodes in the DOM. Expects the nodes to be sorted already.
+         */
+        CdkTree.prototype._getRenderedNodePositions = function () {
+            var e_4, _a;
+            var positions = new Map();
+            var siblingsByParent = new Map();
+            var ancestors = [];
+            try {
+                // The parent of a node is the closest preceding node with a lower level.
+                for (var _b = __values(this._nodes), _c = _b.next(); !_c.done; _c = _b.next()) {
+                    var node = _c.value;
+                    var level = node.level;
+                    ancestors.length = Math.min(ancestors.length, level);
+                    var parent = level > 0 && ancestors[level - 1] || null;
+                    var siblings = siblingsByParent.get(parent) || [];
+                    positions.set(node.data, { siblings: siblings, index: siblings.length });
+                    siblings.push(node.data);
+                    siblingsByParent.set(parent, siblings);
+                    ancestors[level] = node;
+                }
+            }
+            catch (e_4_1) { e_4 = { error: e_4_1 }; }
+            finally {
+                try {
+                    if (_c && !_c.done && (_a = _b.return)) _a.call(_b);
+                }
+                finally { if (e_4) throw e_4.error; }
+            }
+            return positions;
+        };
+        /**
+         * Updates the roving tabindex of the nodes so that only the active node,
+         * or the first node if none is active, can be reached using the tab key.
+         */
+        CdkTree.prototype._updateTabIndex = function () {
+            var activeNode = this._keyManager.activeItem;
+            var tabbableNode = activeNode && this._nodes.indexOf(activeNode) > -1 ? activeNode : this._nodes[0];
+            this._nodes.forEach(function (node) {
+                node._getHostElement().setAttribute('tabindex', node === tabbableNode ? '0' : '-1');
+            });
+        };
         /**
          * Finds the matching node definition that should be used for this node data. If there is only
          * one node definition, it is returned. Otherwise, find the node definition that has a when
@@ -749,7 +1463,15 @@
          * within the data node view container.
          */
         CdkTree.prototype.insertNode = function (nodeData, index, viewContainer, parentData) {
-            var node = this._getNodeDef(nodeData, index);
+            // Use default tree nodeOutlet, or nested node's nodeOutlet
+            var container = viewContainer ? viewContainer : this._nodeOutlet.viewContainer;
+            if (nodeData instanceof CdkTreeNodePlaceholderContext) {
+                this._insertPlaceholder(nodeData, index, container);
+                return;
+            }
+            // When virtual scrolling, the index is relative to the start of the rendered range.
+            var dataIndex = this._renderedRange ? this._renderedRange.start + index : index;
+            var node = this._getNodeDef(nodeData, dataIndex);
             // Node context that will be provided to created embedded view
             var context = new CdkTreeNodeOutletContext(nodeData);
             // If the tree is flat tree, then use the `getLevel` function in flat tree control
@@ -764,8 +1486,6 @@
                 context.level = 0;
             }
             this._levels.set(nodeData, context.level);
-            // Use default tree nodeOutlet, or nested node's nodeOutlet
-            var container = viewContainer ? viewContainer : this._nodeOutlet.viewContainer;
             container.createEmbeddedView(node.template, context, index);
             // Set the data to just created `CdkTreeNode`.
             // The `CdkTreeNode` created from `createEmbeddedView` will be saved in static variable
@@ -774,6 +1494,17 @@
                 CdkTreeNode.mostRecentTreeNode.data = nodeData;
             }
         };
+        /** Creates the embedded view of a placeholder at the specified index. */
+        CdkTree.prototype._insertPlaceholder = function (context, index, viewContainer) {
+            var parentData = context.$implicit;
+            if (this.treeControl.getLevel) {
+                context.level = this.treeControl.getLevel(parentData) + 1;
+            }
+            else {
+                context.level = this._levels.has(parentData) ? this._levels.get(parentData) + 1 : 0;
+            }
+            viewContainer.createEmbeddedView(this._placeholderDef.template, context, index);
+        };
         return CdkTree;
     }());
     CdkTree.decorators = [
@@ -784,6 +1515,8 @@
                     host: {
                         'class': 'cdk-tree',
                         'role': 'tree',
+                        '(keydown)': '_handleKeydown($event)',
+                        '(focusin)': '_handleFocus($event)',
                     },
                     encapsulation: core.ViewEncapsulation.None,
                     // The "OnPush" status for the `CdkTree` component is effectively a noop, so we are removing it.
@@ -795,7 +1528,10 @@
     ];
     CdkTree.ctorParameters = function () { return [
         { type: core.IterableDiffers },
-        { type: core.ChangeDetectorRef }
+        { type: core.ChangeDetectorRef },
+        { type: core.NgZone, decorators: [{ type: core.Optional }] },
+        { type: scrolling.CdkVirtualScrollViewport, decorators: [{ type: core.Optional }, { type: core.Self }, { type: core.Inject, args: [_TREE_VIRTUAL_SCROLL_VIEWPORT,] }] },
+        { type: bidi.Directionality, decorators: [{ type: core.Optional }] }
     ]; };
     CdkTree.propDecorators = {
         dataSource: [{ type: core.Input }],
@@ -806,7 +1542,8 @@
                         // We need to use `descendants: true`, because Ivy will no longer match
                         // indirect descendants if it's left as false.
                         descendants: true
-                    },] }]
+                    },] }],
+        _placeholderDef: [{ type: core.ContentChild, args: [CdkTreeNodePlaceholderDef,] }]
     };
     /**
      * Tree node for CdkTree. It contains the data in the tree node.
@@ -862,9 +1599,24 @@
             enumerable: false,
             configurable: true
         });
+        Object.defineProperty(CdkTreeNode.prototype, "isExpandable", {
+            /** Whether the node can be expanded. */
+            get: function () {
+                var treeControl = this._tree.treeControl;
+                return treeControl.isExpandable ? treeControl.isExpandable(this._data) : this._hasChildren();
+            },
+            enumerable: false,
+            configurable: true
+        });
         CdkTreeNode.prototype._setExpanded = function (_expanded) {
             this._isAriaExpanded = _expanded;
-            this._elementRef.nativeElement.setAttribute('aria-expanded', "" + _expanded);
+            // Only nodes that can be expanded should have `aria-expanded`.
+            if (_expanded == null) {
+                this._elementRef.nativeElement.removeAttribute('aria-expanded');
+            }
+            else {
+                this._elementRef.nativeElement.setAttribute('aria-expanded', "" + _expanded);
+            }
         };
         Object.defineProperty(CdkTreeNode.prototype, "level", {
             get: function () {
@@ -880,14 +1632,16 @@
         CdkTreeNode.prototype.ngOnInit = function () {
             this._parentNodeAriaLevel = getParentNodeAriaLevel(this._elementRef.nativeElement);
             this._elementRef.nativeElement.setAttribute('aria-level', "" + (this.level + 1));
+            this._tree._registerNode(this);
         };
         CdkTreeNode.prototype.ngDoCheck = function () {
             // aria-expanded is be set here because the expanded state is stored in the tree control and
             // the node isn't aware when the state is changed.
             // It is not set using a @HostBinding because they sometimes get lost with Mixin based classes.
             // TODO: move to host after View Engine deprecation
-            if (this.isExpanded != this._isAriaExpanded) {
-                this._setExpanded(this.isExpanded);
+            var isExpanded = this.isExpandable ? this.isExpanded : null;
+            if (isExpanded !== this._isAriaExpanded) {
+                this._setExpanded(isExpanded);
             }
         };
         CdkTreeNode.prototype.ngOnDestroy = function () {
@@ -896,6 +1650,7 @@
             if (CdkTreeNode.mostRecentTreeNode === this) {
                 CdkTreeNode.mostRecentTreeNode = null;
             }
+            this._tree._unregisterNode(this);
             this._dataChanges.complete();
             this._destroyed.next();
             this._destroyed.complete();
@@ -904,6 +1659,32 @@
         CdkTreeNode.prototype.focus = function () {
             this._elementRef.nativeElement.focus();
         };
+        /** Expands the node. */
+        CdkTreeNode.prototype.expand = function () {
+            this._tree.treeControl.expand(this._data);
+        };
+        /** Collapses the node. */
+        CdkTreeNode.prototype.collapse = function () {
+            this._tree.treeControl.collapse(this._data);
+        };
+        /** Gets the label of the node. Used for type-ahead. */
+        CdkTreeNode.prototype.getLabel = function () {
+            return (this._elementRef.nativeElement.textContent || '').trim();
+        };
+        /**
+         * Gets the host element of the node.
+         * @docs-private
+         */
+        CdkTreeNode.prototype._getHostElement = function () {
+            return this._elementRef.nativeElement;
+        };
+        /**
+         * Whether the node has any children. Only used if the tree control can't
+         * determine whether a node is expandable, e.g. in nested trees.
+         */
+        CdkTreeNode.prototype._hasChildren = function () {
+            return false;
+        };
         // TODO: role should eventually just be set in the component host
         CdkTreeNode.prototype._setRoleFromData = function () {
             if (!this._tree.treeControl.isExpandable && !this._tree.treeControl.getChildren &&
@@ -980,7 +1761,7 @@
         }
         CdkNestedTreeNode.prototype.ngAfterContentInit = function () {
             var _this = this;
-            this._dataDiffer = this._differs.find([]).create(this._tree.trackBy);
+            this._dataDiffer = this._differs.find([]).create(this._tree._trackNode);
             if (!this._tree.treeControl.getChildren && (typeof ngDevMode === 'undefined' || ngDevMode)) {
                 throw getTreeControlFunctionsMissingError();
             }
@@ -1007,6 +1788,20 @@
             this._clear();
             _super.prototype.ngOnDestroy.call(this);
         };
+        /** Whether the node has any children. */
+        CdkNestedTreeNode.prototype._hasChildren = function () {
+            if (this._children && this._children.length > 0) {
+                return true;
+            }
+            // Nodes whose children are loaded lazily are considered expandable
+            // until we know that there aren't any children to load.
+            var treeControl = this._tree.treeControl;
+            if (treeControl.loadChildren && treeControl.getChildrenState) {
+                var state = treeControl.getChildrenState(this._data);
+                return !state || state.loading || state.hasMore || !!state.error;
+            }
+            return false;
+        };
         /** Add children dataNodes to the NodeOutlet */
         CdkNestedTreeNode.prototype.updateChildrenNodes = function (children) {
             var outlet = this._getNodeOutlet();
@@ -1246,11 +2041,13 @@
     var EXPORTED_DECLARATIONS = [
         CdkNestedTreeNode,
         CdkTreeNodeDef,
+        CdkTreeNodePlaceholderDef,
         CdkTreeNodePadding,
         CdkTreeNodeToggle,
         CdkTree,
         CdkTreeNode,
         CdkTreeNodeOutlet,
+        CdkTreeVirtualScroll,
     ];
     var CdkTreeModule = /** @class */ (function () {
         function CdkTreeModule() {
@@ -1286,14 +2083,20 @@
     exports.CdkTreeNodeOutlet = CdkTreeNodeOutlet;
     exports.CdkTreeNodeOutletContext = CdkTreeNodeOutletContext;
     exports.CdkTreeNodePadding = CdkTreeNodePadding;
+    exports.CdkTreeNodePlaceholderContext = CdkTreeNodePlaceholderContext;
+    exports.CdkTreeNodePlaceholderDef = CdkTreeNodePlaceholderDef;
     exports.CdkTreeNodeToggle = CdkTreeNodeToggle;
+    exports.CdkTreeVirtualScroll = CdkTreeVirtualScroll;
     exports.FlatTreeControl = FlatTreeControl;
     exports.NestedTreeControl = NestedTreeControl;
+    exports.TreeKeyManager = TreeKeyManager;
+    exports._TREE_VIRTUAL_SCROLL_VIEWPORT = _TREE_VIRTUAL_SCROLL_VIEWPORT;
     exports.getTreeControlFunctionsMissingError = getTreeControlFunctionsMissingError;
     exports.getTreeControlMissingError = getTreeControlMissingError;
     exports.getTreeMissingMatchingNodeDefError = getTreeMissingMatchingNodeDefError;
     exports.getTreeMultipleDefaultNodeDefsError = getTreeMultipleDefaultNodeDefsError;
     exports.getTreeNoValidDataSourceError = getTreeNoValidDataSourceError;
+    exports.getTreeVirtualScrollRequiresFlatTreeError = getTreeVirtualScrollRequiresFlatTreeError;
 
     Object.defineProperty(exports, '__esModule', { value: true });
 
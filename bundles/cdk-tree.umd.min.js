@@ -1,4 +1,4 @@
-!function(e,t){"object"==typeof exports&&"undefined"!=typeof module?t(exports,require("@angular/cdk/collections"),require("rxjs"),require("rxjs/operators"),require("@angular/core"),require("@angular/cdk/coercion"),require("@angular/cdk/bidi")):"function"==typeof define&&define.amd?define("@angular/cdk/tree",["exports","@angular/cdk/collections","rxjs","rxjs/operators","@angular/core","@angular/cdk/coercion","@angular/cdk/bidi"],t):t(((e=e||self).ng=e.ng||{},e.ng.cdk=e.ng.cdk||{},e.ng.cdk.tree={}),e.ng.cdk.collections,e.rxjs,e.rxjs.operators,e.ng.core,e.ng.cdk.coercion,e.ng.cdk.bidi)}(this,(function(e,t,n,r,o,i,s){"use strict";
+!function(e,t){"object"==typeof exports&&"undefined"!=typeof module?t(exports,require("@angular/cdk/collections"),require("rxjs"),require("rxjs/operators"),require("@angular/core"),require("@angular/cdk/bidi"),require("@angular/cdk/scrolling"),require("@angular/cdk/a11y"),require("@angular/cdk/keycodes"),require("@angular/cdk/coercion")):"function"==typeof define&&define.amd?define("@angular/cdk/tree",["exports","@angular/cdk/collections","rxjs","rxjs/operators","@angular/core","@angular/cdk/bidi","@angular/cdk/scrolling","@angular/cdk/a11y","@angular/cdk/keycodes","@angular/cdk/coercion"],t):t(((e=e||self).ng=e.ng||{},e.ng.cdk=e.ng.cdk||{},e.ng.cdk.tree={}),e.ng.cdk.collections,e.rxjs,e.rxjs.operators,e.ng.core,e.ng.cdk.bidi,e.ng.cdk.scrolling,e.ng.cdk.a11y,e.ng.cdk.keycodes,e.ng.cdk.coercion)}(this,(function(e,t,r,n,i,o,a,s,d,l){"use strict";
 /*! *****************************************************************************
     Copyright (c) Microsoft Corporation.
 
@@ -12,7 +12,7 @@
     LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION OF CONTRACT, NEGLIGENCE OR
     OTHER TORTIOUS ACTION, ARISING OUT OF OR IN CONNECTION WITH THE USE OR
     PERFORMANCE OF THIS SOFTWARE.
-    ***************************************************************************** */var a=function(e,t){return(a=Object.setPrototypeOf||{__proto__:[]}instanceof Array&&function(e,t){e.__proto__=t}||function(e,t){for(var n in t)Object.prototype.hasOwnProperty.call(t,n)&&(e[n]=t[n])})(e,t)};function d(e,t){if("function"!=typeof t&&null!==t)throw new TypeError("Class extends value "+String(t)+" is not a constructor or null");function n(){this.constructor=e}a(e,t),e.prototype=null===t?Object.create(t):(n.prototype=t.prototype,new n)}function c(e,t){var n="function"==typeof Symbol&&e[Symbol.iterator];if(!n)return e;var r,o,i=n.call(e),s=[];try{for(;(void 0===t||t-- >0)&&!(r=i.next()).done;)s.push(r.value)}catch(e){o={error:e}}finally{try{r&&!r.done&&(n=i.return)&&n.call(i)}finally{if(o)throw o.error}}return s}function u(){for(var e=[],t=0;t<arguments.length;t++)e=e.concat(c(arguments[t]));return e}var l,p=function(){function e(){this.expansionModel=new t.SelectionModel(!0)}return e.prototype.toggle=function(e){this.expansionModel.toggle(this._trackByValue(e))},e.prototype.expand=function(e){this.expansionModel.select(this._trackByValue(e))},e.prototype.collapse=function(e){this.expansionModel.deselect(this._trackByValue(e))},e.prototype.isExpanded=function(e){return this.expansionModel.isSelected(this._trackByValue(e))},e.prototype.toggleDescendants=function(e){this.expansionModel.isSelected(this._trackByValue(e))?this.collapseDescendants(e):this.expandDescendants(e)},e.prototype.collapseAll=function(){this.expansionModel.clear()},e.prototype.expandDescendants=function(e){var t,n=this,r=[e];r.push.apply(r,u(this.getDescendants(e))),(t=this.expansionModel).select.apply(t,u(r.map((function(e){return n._trackByValue(e)}))))},e.prototype.collapseDescendants=function(e){var t,n=this,r=[e];r.push.apply(r,u(this.getDescendants(e))),(t=this.expansionModel).deselect.apply(t,u(r.map((function(e){return n._trackByValue(e)}))))},e.prototype._trackByValue=function(e){return this.trackBy?this.trackBy(e):e},e}(),h=function(e){function t(t,n,r){var o=e.call(this)||this;return o.getLevel=t,o.isExpandable=n,o.options=r,o.options&&(o.trackBy=o.options.trackBy),o}return d(t,e),t.prototype.getDescendants=function(e){for(var t=[],n=this.dataNodes.indexOf(e)+1;n<this.dataNodes.length&&this.getLevel(e)<this.getLevel(this.dataNodes[n]);n++)t.push(this.dataNodes[n]);return t},t.prototype.expandAll=function(){var e,t=this;(e=this.expansionModel).select.apply(e,u(this.dataNodes.map((function(e){return t._trackByValue(e)}))))},t}(p),f=function(e){function t(t,n){var r=e.call(this)||this;return r.getChildren=t,r.options=n,r.options&&(r.trackBy=r.options.trackBy),r}return d(t,e),t.prototype.expandAll=function(){var e,t=this;this.expansionModel.clear();var n=this.dataNodes.reduce((function(e,n){return u(e,t.getDescendants(n),[n])}),[]);(e=this.expansionModel).select.apply(e,u(n.map((function(e){return t._trackByValue(e)}))))},t.prototype.getDescendants=function(e){var t=[];return this._getDescendants(t,e),t.splice(1)},t.prototype._getDescendants=function(e,t){var o=this;e.push(t);var i=this.getChildren(t);Array.isArray(i)?i.forEach((function(t){return o._getDescendants(e,t)})):n.isObservable(i)&&i.pipe(r.take(1),r.filter(Boolean)).subscribe((function(t){var n,r;try{for(var i=function s(e){var t="function"==typeof Symbol&&Symbol.iterator,n=t&&e[t],r=0;if(n)return n.call(e);if(e&&"number"==typeof e.length)return{next:function(){return e&&r>=e.length&&(e=void 0),{value:e&&e[r++],done:!e}}};throw new TypeError(t?"Object is not iterable.":"Symbol.iterator is not defined.")}(t),a=i.next();!a.done;a=i.next())o._getDescendants(e,a.value)}catch(e){n={error:e}}finally{try{a&&!a.done&&(r=i.return)&&r.call(i)}finally{if(n)throw n.error}}}))},t}(p),_=new o.InjectionToken("CDK_TREE_NODE_OUTLET_NODE");(l=function l(e,t){this.viewContainer=e,this._node=t}).decorators=[{type:o.Directive,args:[{selector:"[cdkTreeNodeOutlet]"}]}],l.ctorParameters=function(){return[{type:o.ViewContainerRef},{type:void 0,decorators:[{type:o.Inject,args:[_]},{type:o.Optional}]}]};
+    ***************************************************************************** */var c=function(e,t){return(c=Object.setPrototypeOf||{__proto__:[]}instanceof Array&&function(e,t){e.__proto__=t}||function(e,t){for(var r in t)Object.prototype.hasOwnProperty.call(t,r)&&(e[r]=t[r])})(e,t)};function h(e,t){if("function"!=typeof t&&null!==t)throw new TypeError("Class extends value "+String(t)+" is not a constructor or null");function r(){this.constructor=e}c(e,t),e.prototype=null===t?Object.create(t):(r.prototype=t.prototype,new r)}function u(e){var t="function"==typeof Symbol&&Symbol.iterator,r=t&&e[t],n=0;if(r)return r.call(e);if(e&&"number"==typeof e.length)return{next:function(){return e&&n>=e.length&&(e=void 0),{value:e&&e[n++],done:!e}}};throw new TypeError(t?"Object is not iterable.":"Symbol.iterator is not defined.")}function p(e,t){var r="function"==typeof Symbol&&e[Symbol.iterator];if(!r)return e;var n,i,o=r.call(e),a=[];try{for(;(void 0===t||t-- >0)&&!(n=o.next()).done;)a.push(n.value)}catch(e){i={error:e}}finally{try{n&&!n.done&&(r=o.return)&&r.call(o)}finally{if(i)throw i.error}}return a}function _(){for(var e=[],t=0;t<arguments.length;t++)e=e.concat(p(arguments[t]));return e}var f,g=function(){function e(){this.expansionModel=new t.SelectionModel(!0),this._childrenStates=new Map,this._childrenSubscriptions=new Map,this._childrenStateChanges=new r.Subject,this.childrenStateChanges=this._childrenStateChanges}return e.prototype.toggle=function(e){this.expansionModel.toggle(this._trackByValue(e)),this.isExpanded(e)&&this._loadChildrenOnFirstExpand(e)},e.prototype.expand=function(e){this.expansionModel.select(this._trackByValue(e)),this._loadChildrenOnFirstExpand(e)},e.prototype.collapse=function(e){this.expansionModel.deselect(this._trackByValue(e))},e.prototype.isExpanded=function(e){return this.expansionModel.isSelected(this._trackByValue(e))},e.prototype.toggleDescendants=function(e){this.expansionModel.isSelected(this._trackByValue(e))?this.collapseDescendants(e):this.expandDescendants(e)},e.prototype.collapseAll=function(){this.expansionModel.clear()},e.prototype.expandDescendants=function(e){var t,r=this,n=[e];n.push.apply(n,_(this.getDescendants(e))),(t=this.expansionModel).select.apply(t,_(n.map((function(e){return r._trackByValue(e)}))))},e.prototype.collapseDescendants=function(e){var t,r=this,n=[e];n.push.apply(n,_(this.getDescendants(e))),(t=this.expansionModel).deselect.apply(t,_(n.map((function(e){return r._trackByValue(e)}))))},e.prototype.getChildrenState=function(e){return this._childrenStates.get(this._trackByValue(e))||null},e.prototype.getLoadedChildren=function(e){var t=this,r=this._trackByValue(e);return this._childrenStateChanges.pipe(n.filter((function(e){return t._trackByValue(e)===r})),n.startWith(e),n.map((function(){var e=t._childrenStates.get(r);return e?e.children:[]})))},e.prototype.loadMoreChildren=function(e){var t=this,r=this._trackByValue(e),i=this._childrenStates.get(r)||{children:[],loading:!1,error:null,hasMore:!0};if(this.loadChildren&&!i.loading&&i.hasMore){var o=!1;this._setChildrenState(e,Object.assign(Object.assign({},i),{loading:!0,error:null}));var a=this.loadChildren(e,i.children.length).pipe(n.take(1)).subscribe({next:function(r){var n=Array.isArray(r)?{children:r,hasMore:!1}:r;o=!0,t._setChildrenState(e,{children:_(i.children,n.children),loading:!1,error:null,hasMore:!!n.hasMore})},error:function(n){t._childrenSubscriptions.delete(r),t._setChildrenState(e,Object.assign(Object.assign({},i),{loading:!1,error:n}))},complete:function(){t._childrenSubscriptions.delete(r),o||t._setChildrenState(e,Object.assign(Object.assign({},i),{loading:!1,hasMore:!1}))}});a.closed||this._childrenSubscriptions.set(r,a)}},e.prototype.retryLoadingChildren=function(e){var t=this.getChildrenState(e);t&&t.error&&this.loadMoreChildren(e)},e.prototype.reloadChildren=function(e){var t,r=this._trackByValue(e);null===(t=this._childrenSubscriptions.get(r))||void 0===t||t.unsubscribe(),this._childrenSubscriptions.delete(r),this._childrenStates.delete(r),this.loadMoreChildren(e)},e.prototype._loadChildrenOnFirstExpand=function(e){this.loadChildren&&!this._childrenStates.has(this._trackByValue(e))&&this.loadMoreChildren(e)},e.prototype._setChildrenState=function(e,t){this._childrenStates.set(this._trackByValue(e),t),this._childrenStateChanges.next(e)},e.prototype._trackByValue=function(e){return this.trackBy?this.trackBy(e):e},e}(),y=function(e){function t(t,r,n){var i=e.call(this)||this;return i.getLevel=t,i.isExpandable=r,i.options=n,i.options&&(i.trackBy=i.options.trackBy,i.loadChildren=i.options.loadChildren),i}return h(t,e),t.prototype.getDescendants=function(e){for(var t=[],r=this.dataNodes.indexOf(e)+1;r<this.dataNodes.length&&this.getLevel(e)<this.getLevel(this.dataNodes[r]);r++)t.push(this.dataNodes[r]);return t},t.prototype.expandAll=function(){var e,t=this;(e=this.expansionModel).select.apply(e,_(this.dataNodes.map((function(e){return t._trackByValue(e)}))))},t}(g),v=function(e){function t(t,r){var n=e.call(this)||this;if(n.getChildren=t,n.options=r,n.options&&(n.trackBy=n.options.trackBy,n.loadChildren=n.options.loadChildren),n.loadChildren){var i=n.getChildren;n.getChildren=function(e){var t=i(e);return!t||Array.isArray(t)&&!t.length?n.getLoadedChildren(e):t}}return n}return h(t,e),t.prototype.expandAll=function(){var e,t=this;this.expansionModel.clear();var r=this.dataNodes.reduce((function(e,r){return _(e,t.getDescendants(r),[r])}),[]);(e=this.expansionModel).select.apply(e,_(r.map((function(e){return t._trackByValue(e)}))))},t.prototype.getDescendants=function(e){var t=[];return this._getDescendants(t,e),t.splice(1)},t.prototype._getDescendants=function(e,t){var i=this;e.push(t);var o=this.getChildren(t);Array.isArray(o)?o.forEach((function(t){return i._getDescendants(e,t)})):r.isObservable(o)&&o.pipe(n.take(1),n.filter(Boolean)).subscribe((function(t){var r,n;try{for(var o=u(t),a=o.next();!a.done;a=o.next())i._getDescendants(e,a.value)}catch(e){r={error:e}}finally{try{a&&!a.done&&(n=o.return)&&n.call(o)}finally{if(r)throw r.error}}}))},t}(g),C=new i.InjectionToken("CDK_TREE_NODE_OUTLET_NODE");(f=function f(e,t){this.viewContainer=e,this._node=t}).decorators=[{type:i.Directive,args:[{selector:"[cdkTreeNodeOutlet]"}]}],f.ctorParameters=function(){return[{type:i.ViewContainerRef},{type:void 0,decorators:[{type:i.Inject,args:[C]},{type:i.Optional}]}]};
 /**
      * @license
      * Copyright Google LLC All Rights Reserved.
@@ -20,15 +20,14 @@
      * Use of this source code is governed by an MIT-style license that can be
      * found in the LICENSE file at https://angular.io/license
      */
-var y,g=function g(e){this.$implicit=e};(y=function y(e){this.template=e}).decorators=[{type:o.Directive,args:[{selector:"[cdkTreeNodeDef]",inputs:["when: cdkTreeNodeDefWhen"]}]}],y.ctorParameters=function(){return[{type:o.TemplateRef}]};var v=function(){function e(e,t){this._differs=e,this._changeDetectorRef=t,this._onDestroy=new n.Subject,this._levels=new Map,this.viewChange=new n.BehaviorSubject({start:0,end:Number.MAX_VALUE})}return Object.defineProperty(e.prototype,"dataSource",{get:function(){return this._dataSource},set:function(e){this._dataSource!==e&&this._switchDataSource(e)},enumerable:!1,configurable:!0}),e.prototype.ngOnInit=function(){this._dataDiffer=this._differs.find([]).create(this.trackBy)},e.prototype.ngOnDestroy=function(){this._nodeOutlet.viewContainer.clear(),this.viewChange.complete(),this._onDestroy.next(),this._onDestroy.complete(),this._dataSource&&"function"==typeof this._dataSource.disconnect&&this.dataSource.disconnect(this),this._dataSubscription&&(this._dataSubscription.unsubscribe(),this._dataSubscription=null)},e.prototype.ngAfterContentChecked=function(){var e=this._nodeDefs.filter((function(e){return!e.when}));this._defaultNodeDef=e[0],this.dataSource&&this._nodeDefs&&!this._dataSubscription&&this._observeRenderChanges()},e.prototype._switchDataSource=function(e){this._dataSource&&"function"==typeof this._dataSource.disconnect&&this.dataSource.disconnect(this),this._dataSubscription&&(this._dataSubscription.unsubscribe(),this._dataSubscription=null),e||this._nodeOutlet.viewContainer.clear(),this._dataSource=e,this._nodeDefs&&this._observeRenderChanges()},e.prototype._observeRenderChanges=function(){var e,o=this;t.isDataSource(this._dataSource)?e=this._dataSource.connect(this):n.isObservable(this._dataSource)?e=this._dataSource:Array.isArray(this._dataSource)&&(e=n.of(this._dataSource)),e&&(this._dataSubscription=e.pipe(r.takeUntil(this._onDestroy)).subscribe((function(e){return o.renderNodeChanges(e)})))},e.prototype.renderNodeChanges=function(e,t,n,r){var o=this;void 0===t&&(t=this._dataDiffer),void 0===n&&(n=this._nodeOutlet.viewContainer);var i=t.diff(e);i&&(i.forEachOperation((function(t,i,s){if(null==t.previousIndex)o.insertNode(e[s],s,n,r);else if(null==s)n.remove(i),o._levels.delete(t.item);else{var a=n.get(i);n.move(a,s)}})),this._changeDetectorRef.detectChanges())},e.prototype._getNodeDef=function(e,t){return 1===this._nodeDefs.length?this._nodeDefs.first:this._nodeDefs.find((function(n){return n.when&&n.when(t,e)}))||this._defaultNodeDef},e.prototype.insertNode=function(e,t,n,r){var o=this._getNodeDef(e,t),i=new g(e);i.level=this.treeControl.getLevel?this.treeControl.getLevel(e):void 0!==r&&this._levels.has(r)?this._levels.get(r)+1:0,this._levels.set(e,i.level),(n||this._nodeOutlet.viewContainer).createEmbeddedView(o.template,i,t),b.mostRecentTreeNode&&(b.mostRecentTreeNode.data=e)},e}();v.decorators=[{type:o.Component,args:[{selector:"cdk-tree",exportAs:"cdkTree",template:"<ng-container cdkTreeNodeOutlet></ng-container>",host:{class:"cdk-tree",role:"tree"},encapsulation:o.ViewEncapsulation.None,changeDetection:o.ChangeDetectionStrategy.Default}]}],v.ctorParameters=function(){return[{type:o.IterableDiffers},{type:o.ChangeDetectorRef}]},v.propDecorators={dataSource:[{type:o.Input}],treeControl:[{type:o.Input}],trackBy:[{type:o.Input}],_nodeOutlet:[{type:o.ViewChild,args:[l,{static:!0}]}],_nodeDefs:[{type:o.ContentChildren,args:[y,{descendants:!0}]}]};var b=function(){function e(t,r){this._elementRef=t,this._tree=r,this._destroyed=new n.Subject,this._dataChanges=new n.Subject,e.mostRecentTreeNode=this,this._elementRef.nativeElement.classList.add("cdk-tree-node"),this.role="treeitem"}return Object.defineProperty(e.prototype,"role",{get:function(){return"treeitem"},set:function(e){this._elementRef.nativeElement.setAttribute("role",e)},enumerable:!1,configurable:!0}),Object.defineProperty(e.prototype,"data",{get:function(){return this._data},set:function(e){e!==this._data&&(this._data=e,this._setRoleFromData(),this._dataChanges.next())},enumerable:!1,configurable:!0}),Object.defineProperty(e.prototype,"isExpanded",{get:function(){return this._tree.treeControl.isExpanded(this._data)},enumerable:!1,configurable:!0}),e.prototype._setExpanded=function(e){this._isAriaExpanded=e,this._elementRef.nativeElement.setAttribute("aria-expanded",""+e)},Object.defineProperty(e.prototype,"level",{get:function(){return this._tree.treeControl.getLevel?this._tree.treeControl.getLevel(this._data):this._parentNodeAriaLevel},enumerable:!1,configurable:!0}),e.prototype.ngOnInit=function(){this._parentNodeAriaLevel=function e(t){for(var n,r=t.parentElement;r&&(n=void 0,!(null==(n=r.classList)?void 0:n.contains("cdk-nested-tree-node"))&&!(null==n?void 0:n.contains("cdk-tree")));)r=r.parentElement;return r?r.classList.contains("cdk-nested-tree-node")?i.coerceNumberProperty(r.getAttribute("aria-level")):0:-1}(this._elementRef.nativeElement),this._elementRef.nativeElement.setAttribute("aria-level",""+(this.level+1))},e.prototype.ngDoCheck=function(){this.isExpanded!=this._isAriaExpanded&&this._setExpanded(this.isExpanded)},e.prototype.ngOnDestroy=function(){e.mostRecentTreeNode===this&&(e.mostRecentTreeNode=null),this._dataChanges.complete(),this._destroyed.next(),this._destroyed.complete()},e.prototype.focus=function(){this._elementRef.nativeElement.focus()},e.prototype._setRoleFromData=function(){this.role="treeitem"},e}();b.mostRecentTreeNode=null,b.decorators=[{type:o.Directive,args:[{selector:"cdk-tree-node",exportAs:"cdkTreeNode"}]}],b.ctorParameters=function(){return[{type:o.ElementRef},{type:v}]},b.propDecorators={role:[{type:o.Input}]};var m=function(e){function t(t,n,r){var o=e.call(this,t,n)||this;return o._elementRef=t,o._tree=n,o._differs=r,o._elementRef.nativeElement.classList.add("cdk-nested-tree-node"),o}return d(t,e),t.prototype.ngAfterContentInit=function(){var e=this;this._dataDiffer=this._differs.find([]).create(this._tree.trackBy);var t=this._tree.treeControl.getChildren(this.data);Array.isArray(t)?this.updateChildrenNodes(t):n.isObservable(t)&&t.pipe(r.takeUntil(this._destroyed)).subscribe((function(t){return e.updateChildrenNodes(t)})),this.nodeOutlet.changes.pipe(r.takeUntil(this._destroyed)).subscribe((function(){return e.updateChildrenNodes()}))},t.prototype.ngOnInit=function(){e.prototype.ngOnInit.call(this)},t.prototype.ngDoCheck=function(){e.prototype.ngDoCheck.call(this)},t.prototype.ngOnDestroy=function(){this._clear(),e.prototype.ngOnDestroy.call(this)},t.prototype.updateChildrenNodes=function(e){var t=this._getNodeOutlet();e&&(this._children=e),t&&this._children?this._tree.renderNodeChanges(this._children,this._dataDiffer,t.viewContainer,this._data):this._dataDiffer.diff([])},t.prototype._clear=function(){var e=this._getNodeOutlet();e&&(e.viewContainer.clear(),this._dataDiffer.diff([]))},t.prototype._getNodeOutlet=function(){var e=this,t=this.nodeOutlet;return t&&t.find((function(t){return!t._node||t._node===e}))},t}(b);m.decorators=[{type:o.Directive,args:[{selector:"cdk-nested-tree-node",exportAs:"cdkNestedTreeNode",inputs:["role","disabled","tabIndex"],providers:[{provide:b,useExisting:m},{provide:_,useExisting:m}]}]}],m.ctorParameters=function(){return[{type:o.ElementRef},{type:v},{type:o.IterableDiffers}]},m.propDecorators={nodeOutlet:[{type:o.ContentChildren,args:[l,{descendants:!0}]}]};
+var m,b,k=function k(e){this.$implicit=e},x=function x(e){this.$implicit=e};(m=function m(e){this.template=e}).decorators=[{type:i.Directive,args:[{selector:"[cdkTreeNodeDef]",inputs:["when: cdkTreeNodeDefWhen"]}]}],m.ctorParameters=function(){return[{type:i.TemplateRef}]},(b=function b(e){this.template=e}).decorators=[{type:i.Directive,args:[{selector:"[cdkTreeNodePlaceholderDef]"}]}],b.ctorParameters=function(){return[{type:i.TemplateRef}]};var S,N=function(){function e(e){var t=this;this._items=e,this._visibleItems=[],this._keyManager=new s.FocusKeyManager(this._visibleItems).withVerticalOrientation().withHomeAndEnd(),this._direction="ltr",this.change=this._keyManager.change.pipe(n.map((function(e){return t._visibleItems[e]})))}return e.prototype.withTypeAhead=function(e){return this._keyManager.withTypeAhead(e),this},e.prototype.withHorizontalOrientation=function(e){return this._direction=e,this},Object.defineProperty(e.prototype,"activeItem",{get:function(){return this._keyManager.activeItem},enumerable:!1,configurable:!0}),e.prototype.setActiveItem=function(e){this._updateVisibleItems(),this._keyManager.setActiveItem(e)},e.prototype.updateActiveItem=function(e){this._updateVisibleItems(),this._keyManager.updateActiveItem(e)},e.prototype.onKeydown=function(e){this._updateVisibleItems();var t=e.keyCode,r="rtl"===this._direction?d.LEFT_ARROW:d.RIGHT_ARROW,n=this.activeItem;if(t===r||t===("rtl"===this._direction?d.RIGHT_ARROW:d.LEFT_ARROW)){if(d.hasModifierKey(e))return;n?t===r?this._expandOrFocusFirstChild(n):this._collapseOrFocusParent(n):this._keyManager.setFirstItemActive()}else{if("*"!==e.key||!n)return void this._keyManager.onKeydown(e);this._expandSiblings(n)}e.preventDefault()},e.prototype._expandOrFocusFirstChild=function(e){if(e.isExpandable)if(e.isExpanded){var t=this._visibleItems[this._visibleItems.indexOf(e)+1];t&&t.level>e.level&&this._keyManager.setActiveItem(t)}else e.expand()},e.prototype._collapseOrFocusParent=function(e){if(e.isExpandable&&e.isExpanded)e.collapse();else{var t=this._getParent(e);t&&this._keyManager.setActiveItem(t)}},e.prototype._expandSiblings=function(e){var t=this,r=this._getParent(e);this._getItemsArray().forEach((function(n){n.level===e.level&&n.isExpandable&&!n.isExpanded&&t._getParent(n)===r&&n.expand()}))},e.prototype._getParent=function(e){for(var t=this._getItemsArray(),r=t.indexOf(e)-1;r>-1;r--)if(t[r].level<e.level)return t[r];return null},e.prototype._updateVisibleItems=function(){var e,t,r=[];this._visibleItems.length=0;try{for(var n=u(this._getItemsArray()),i=n.next();!i.done;i=n.next()){var o=i.value,a=o.level;r.length=Math.min(r.length,a),r.every((function(e){return e.isExpanded}))&&this._visibleItems.push(o),r[a]=o}}catch(t){e={error:t}}finally{try{i&&!i.done&&(t=n.return)&&t.call(n)}finally{if(e)throw e.error}}var s=this._keyManager.activeItem;s&&this._keyManager.updateActiveItem(s)},e.prototype._getItemsArray=function(){return this._items instanceof i.QueryList?this._items.toArray():this._items},e}(),D=new i.InjectionToken("_TREE_VIRTUAL_SCROLL_VIEWPORT");
 /**
      * @license
      * Copyright Google LLC All Rights Reserved.
      *
      * Use of this source code is governed by an MIT-style license that can be
      * found in the LICENSE file at https://angular.io/license
-     */
-var D=/([A-Za-z%]+)$/,C=function(){function e(e,t,o,i){var s=this;this._treeNode=e,this._tree=t,this._element=o,this._dir=i,this._destroyed=new n.Subject,this.indentUnits="px",this._indent=40,this._setPadding(),i&&i.change.pipe(r.takeUntil(this._destroyed)).subscribe((function(){return s._setPadding(!0)})),e._dataChanges.subscribe((function(){return s._setPadding()}))}return Object.defineProperty(e.prototype,"level",{get:function(){return this._level},set:function(e){this._setLevelInput(e)},enumerable:!1,configurable:!0}),Object.defineProperty(e.prototype,"indent",{get:function(){return this._indent},set:function(e){this._setIndentInput(e)},enumerable:!1,configurable:!0}),e.prototype.ngOnDestroy=function(){this._destroyed.next(),this._destroyed.complete()},e.prototype._paddingIndent=function(){var e=this._treeNode.data&&this._tree.treeControl.getLevel?this._tree.treeControl.getLevel(this._treeNode.data):null,t=null==this._level?e:this._level;return"number"==typeof t?""+t*this._indent+this.indentUnits:null},e.prototype._setPadding=function(e){void 0===e&&(e=!1);var t=this._paddingIndent();if(t!==this._currentPadding||e){var n=this._element.nativeElement,r=this._dir&&"rtl"===this._dir.value?"paddingRight":"paddingLeft",o="paddingLeft"===r?"paddingRight":"paddingLeft";n.style[r]=t||"",n.style[o]="",this._currentPadding=t}},e.prototype._setLevelInput=function(e){this._level=i.coerceNumberProperty(e,null),this._setPadding()},e.prototype._setIndentInput=function(e){var t=e,n="px";if("string"==typeof e){var r=e.split(D);t=r[0],n=r[1]||n}this.indentUnits=n,this._indent=i.coerceNumberProperty(t),this._setPadding()},e}();C.decorators=[{type:o.Directive,args:[{selector:"[cdkTreeNodePadding]"}]}],C.ctorParameters=function(){return[{type:b},{type:v},{type:o.ElementRef},{type:s.Directionality,decorators:[{type:o.Optional}]}]},C.propDecorators={level:[{type:o.Input,args:["cdkTreeNodePadding"]}],indent:[{type:o.Input,args:["cdkTreeNodePaddingIndent"]}]};
+     */(S=function S(){}).decorators=[{type:i.Directive,args:[{selector:"cdk-tree[virtualScroll]",providers:[{provide:D,useExisting:a.CdkVirtualScrollViewport}]}]}];var O=function(){function e(e,t,n,i,o){var a=this;this._differs=e,this._changeDetectorRef=t,this._ngZone=n,this._virtualScrollViewport=i,this._dir=o,this._onDestroy=new r.Subject,this._levels=new Map,this._renderedRange=null,this._virtualScrollDataStream=new r.Subject,this._nodes=[],this._nodeUpdateScheduled=!1,this._placeholderContexts=new Map,this.viewChange=new r.BehaviorSubject({start:0,end:Number.MAX_VALUE}),this._trackNode=function(e,t){return!a.trackBy||t instanceof x?t:a.trackBy(e,t)}}return Object.defineProperty(e.prototype,"dataSource",{get:function(){return this._dataSource},set:function(e){this._dataSource!==e&&this._switchDataSource(e)},enumerable:!1,configurable:!0}),e.prototype.ngOnInit=function(){this._dataDiffer=this._differs.find([]).create(this._trackNode),this.treeControl.childrenStateChanges&&this._observeChildrenStateChanges(this.treeControl.childrenStateChanges),this._virtualScrollViewport&&this._setupVirtualScrolling(this._virtualScrollViewport),this._setupKeyManager()},e.prototype.ngOnDestroy=function(){this._nodeOutlet.viewContainer.clear(),this._virtualScrollViewport&&this._virtualScrollViewport.detach(),this._virtualScrollDataStream.complete(),this.viewChange.complete(),this._onDestroy.next(),this._onDestroy.complete(),this._dataSource&&"function"==typeof this._dataSource.disconnect&&this.dataSource.disconnect(this),this._dataSubscription&&(this._dataSubscription.unsubscribe(),this._dataSubscription=null)},e.prototype.ngAfterContentChecked=function(){var e=this._nodeDefs.filter((function(e){return!e.when}));this._defaultNodeDef=e[0],this.dataSource&&this._nodeDefs&&!this._dataSubscription&&this._observeRenderChanges()},e.prototype._handleKeydown=function(e){this._keyManager.onKeydown(e)},e.prototype._handleFocus=function(e){var t=this._nodes.find((function(t){return t._getHostElement()===e.target}));t&&t!==this._keyManager.activeItem&&(this._keyManager.updateActiveItem(t),this._updateTabIndex())},e.prototype._registerNode=function(e){this._nodes.push(e),this._scheduleNodeUpdate()},e.prototype._unregisterNode=function(e){var t=this._nodes.indexOf(e);t>-1&&(this._nodes.splice(t,1),this._scheduleNodeUpdate())},e.prototype._switchDataSource=function(e){this._dataSource&&"function"==typeof this._dataSource.disconnect&&this.dataSource.disconnect(this),this._dataSubscription&&(this._dataSubscription.unsubscribe(),this._dataSubscription=null),e||this._nodeOutlet.viewContainer.clear(),this._dataSource=e,this._nodeDefs&&this._observeRenderChanges()},e.prototype._observeRenderChanges=function(){var e,i=this;t.isDataSource(this._dataSource)?e=this._dataSource.connect(this):r.isObservable(this._dataSource)?e=this._dataSource:Array.isArray(this._dataSource)&&(e=r.of(this._dataSource)),e&&(this._dataSubscription=e.pipe(n.takeUntil(this._onDestroy)).subscribe((function(e){return i.renderNodeChanges(e)})))},e.prototype.renderNodeChanges=function(e,t,r,n){if(void 0===t&&(t=this._dataDiffer),void 0===r&&(r=this._nodeOutlet.viewContainer),r===this._nodeOutlet.viewContainer&&(this._rootData=e,this.treeControl.getLevel&&this._scheduleNodeUpdate()),e=this._addPlaceholders(e,n),this._virtualScrollViewport&&r===this._nodeOutlet.viewContainer)return this._data=e,this._virtualScrollDataStream.next(e),void this._renderNodesInRange();this._applyNodeChanges(e,t,r,n)},e.prototype._applyNodeChanges=function(e,t,r,n){var i=this,o=t.diff(e);o&&(o.forEachOperation((function(t,o,a){if(null==t.previousIndex)i.insertNode(e[a],a,r,n);else if(null==a)r.remove(o),i._levels.delete(t.item);else{var s=r.get(o);r.move(s,a)}})),this._changeDetectorRef.detectChanges())},e.prototype._addPlaceholders=function(e,t){var r,n,i=this,o=this.treeControl;if(!this._placeholderDef||!o.getChildrenState)return e;if(!o.getLevel){var a=void 0===t?null:this._getPlaceholderContext(t);return a?_(e,[a]):e}var s=[],d=[],l=function(e){for(;d.length&&o.getLevel(d[d.length-1])>=e;){var t=i._getPlaceholderContext(d.pop());s.push(t)}};try{for(var c=u(e),h=c.next();!h.done;h=c.next()){var p=h.value;l(o.getLevel(p)),s.push(p),o.isExpanded(p)&&this._needsPlaceholder(o.getChildrenState(p))&&d.push(p)}}catch(e){r={error:e}}finally{try{h&&!h.done&&(n=c.return)&&n.call(c)}finally{if(r)throw r.error}}return l(0),s},e.prototype._getPlaceholderContext=function(e){var t=this.treeControl.getChildrenState(e);if(!this._needsPlaceholder(t))return this._placeholderContexts.delete(e),null;var r=this._placeholderContexts.get(e);return r||(r=new x(e),this._placeholderContexts.set(e,r)),r.loading=t.loading,r.error=t.error,r.hasMore=t.hasMore,r},e.prototype._needsPlaceholder=function(e){return!!e&&(e.loading||e.hasMore||null!=e.error)},e.prototype._observeChildrenStateChanges=function(e){var t=this,i=!!this.treeControl.getLevel;(i?r.merge(e,this.treeControl.expansionModel.changed):e).pipe(n.takeUntil(this._onDestroy)).subscribe((function(){t._placeholderDef&&i&&t._rootData&&t.renderNodeChanges(t._rootData),t._changeDetectorRef.markForCheck()}))},e.prototype._renderNodesInRange=function(){if(this._data&&this._renderedRange){var e=this._renderedRange;this._applyNodeChanges(this._data.slice(e.start,e.end),this._dataDiffer,this._nodeOutlet.viewContainer)}},e.prototype._setupVirtualScrolling=function(e){var t=this;this._renderedRange=e.getRenderedRange(),e.renderedRangeStream.pipe(n.takeUntil(this._onDestroy)).subscribe((function(e){var r=function(){t._renderedRange=e,t.viewChange.next(e),t._renderNodesInRange()};t._ngZone?t._ngZone.run(r):r()})),e.attach({dataStream:this._virtualScrollDataStream,measureRangeSize:function(e,r){return t._measureRenderedNodesSize(e,r)},getItemKey:function(e){var r=t._data?t._data[e]:void 0,n=t._renderedRange;return void 0===r?r:t._trackNode(e-(n?n.start:0),r)}})},e.prototype._measureRenderedNodesSize=function(e,t){var r=this._renderedRange;if(!r||e.start>=e.end)return 0;var n=this._nodeOutlet.viewContainer,i=n.get(e.start-r.start),o=n.get(e.end-r.start-1);if(!(i&&o&&i.rootNodes.length&&o.rootNodes.length))return 0;var a=i.rootNodes[0].getBoundingClientRect(),s=o.rootNodes[o.rootNodes.length-1].getBoundingClientRect();return"horizontal"===t?s.right-a.left:s.bottom-a.top},e.prototype._setupKeyManager=function(){var e=this;this._keyManager=new N(this._nodes).withTypeAhead().withHorizontalOrientation(this._dir?this._dir.value:"ltr"),this._dir&&this._dir.change.pipe(n.takeUntil(this._onDestroy)).subscribe((function(t){return e._keyManager.withHorizontalOrientation(t)})),this._keyManager.change.pipe(n.takeUntil(this._onDestroy)).subscribe((function(){return e._updateTabIndex()}))},e.prototype._scheduleNodeUpdate=function(){var e=this;this._nodeUpdateScheduled||(this._nodeUpdateScheduled=!0,Promise.resolve().then((function(){e._nodeUpdateScheduled=!1,e._updateNodes()})))},e.prototype._updateNodes=function(){var e,t;this._nodes.sort((function(e,t){return e._getHostElement().compareDocumentPosition(t._getHostElement())&Node.DOCUMENT_POSITION_FOLLOWING?-1:1}));var r=this.treeControl.getLevel&&this._rootData?this._getFlatNodePositions(this._rootData):this._getRenderedNodePositions();try{for(var n=u(this._nodes),i=n.next();!i.done;i=n.next()){var o=i.value,a=r.get(o.data);if(a){var s=o._getHostElement();s.setAttribute("aria-setsize",""+a.siblings.length),s.setAttribute("aria-posinset",""+(a.index+1))}}}catch(t){e={error:t}}finally{try{i&&!i.done&&(t=n.return)&&t.call(n)}finally{if(e)throw e.error}}this._updateTabIndex()},e.prototype._getFlatNodePositions=function(e){var t,r,n=this.treeControl,i=new Map,o=[];try{for(var a=u(e),s=a.next();!s.done;s=a.next()){var d=s.value,l=n.getLevel(d);o.length=Math.min(o.length,l+1);var c=o[l]||(o[l]=[]);i.set(d,{siblings:c,index:c.length}),c.push(d)}}catch(e){t={error:e}}finally{try{s&&!s.done&&(r=a.return)&&r.call(a)}finally{if(t)throw t.error}}return i},e.prototype._getRenderedNodePositions=function(){var e,t,r=new Map,n=new Map,i=[];try{for(var o=u(this._nodes),a=o.next();!a.done;a=o.next()){var s=a.value,d=s.level;i.length=Math.min(i.length,d);var l=d>0&&i[d-1]||null,c=n.get(l)||[];r.set(s.data,{siblings:c,index:c.length}),c.push(s.data),n.set(l,c),i[d]=s}}catch(t){e={error:t}}finally{try{a&&!a.done&&(t=o.return)&&t.call(o)}finally{if(e)throw e.error}}return r},e.prototype._updateTabIndex=function(){var e=this._keyManager.activeItem,t=e&&this._nodes.indexOf(e)>-1?e:this._nodes[0];this._nodes.forEach((function(e){e._getHostElement().setAttribute("tabindex",e===t?"0":"-1")}))},e.prototype._getNodeDef=function(e,t){return 1===this._nodeDefs.length?this._nodeDefs.first:this._nodeDefs.find((function(r){return r.when&&r.when(t,e)}))||this._defaultNodeDef},e.prototype.insertNode=function(e,t,r,n){var i=r||this._nodeOutlet.viewContainer;if(e instanceof x)this._insertPlaceholder(e,t,i);else{var o=this._getNodeDef(e,this._renderedRange?this._renderedRange.start+t:t),a=new k(e);a.level=this.treeControl.getLevel?this.treeControl.getLevel(e):void 0!==n&&this._levels.has(n)?this._levels.get(n)+1:0,this._levels.set(e,a.level),i.createEmbeddedView(o.template,a,t),E.mostRecentTreeNode&&(E.mostRecentTreeNode.data=e)}},e.prototype._insertPlaceholder=function(e,t,r){var n=e.$implicit;e.level=this.treeControl.getLevel?this.treeControl.getLevel(n)+1:this._levels.has(n)?this._levels.get(n)+1:0,r.createEmbeddedView(this._placeholderDef.template,e,t)},e}();O.decorators=[{type:i.Component,args:[{selector:"cdk-tree",exportAs:"cdkTree",template:"<ng-container cdkTreeNodeOutlet></ng-container>",host:{class:"cdk-tree",role:"tree","(keydown)":"_handleKeydown($event)","(focusin)":"_handleFocus($event)"},encapsulation:i.ViewEncapsulation.None,changeDetection:i.ChangeDetectionStrategy.Default}]}],O.ctorParameters=function(){return[{type:i.IterableDiffers},{type:i.ChangeDetectorRef},{type:i.NgZone,decorators:[{type:i.Optional}]},{type:a.CdkVirtualScrollViewport,decorators:[{type:i.Optional},{type:i.Self},{type:i.Inject,args:[D]}]},{type:o.Directionality,decorators:[{type:i.Optional}]}]},O.propDecorators={dataSource:[{type:i.Input}],treeControl:[{type:i.Input}],trackBy:[{type:i.Input}],_nodeOutlet:[{type:i.ViewChild,args:[f,{static:!0}]}],_nodeDefs:[{type:i.ContentChildren,args:[m,{descendants:!0}]}],_placeholderDef:[{type:i.ContentChild,args:[b]}]};var E=function(){function e(t,n){this._elementRef=t,this._tree=n,this._destroyed=new r.Subject,this._dataChanges=new r.Subject,e.mostRecentTreeNode=this,this._elementRef.nativeElement.classList.add("cdk-tree-node"),this.role="treeitem"}return Object.defineProperty(e.prototype,"role",{get:function(){return"treeitem"},set:function(e){this._elementRef.nativeElement.setAttribute("role",e)},enumerable:!1,configurable:!0}),Object.defineProperty(e.prototype,"data",{get:function(){return this._data},set:function(e){e!==this._data&&(this._data=e,this._setRoleFromData(),this._dataChanges.next())},enumerable:!1,configurable:!0}),Object.defineProperty(e.prototype,"isExpanded",{get:function(){return this._tree.treeControl.isExpanded(this._data)},enumerable:!1,configurable:!0}),Object.defineProperty(e.prototype,"isExpandable",{get:function(){var e=this._tree.treeControl;return e.isExpandable?e.isExpandable(this._data):this._hasChildren()},enumerable:!1,configurable:!0}),e.prototype._setExpanded=function(e){this._isAriaExpanded=e,null==e?this._elementRef.nativeElement.removeAttribute("aria-expanded"):this._elementRef.nativeElement.setAttribute("aria-expanded",""+e)},Object.defineProperty(e.prototype,"level",{get:function(){return this._tree.treeControl.getLevel?this._tree.treeControl.getLevel(this._data):this._parentNodeAriaLevel},enumerable:!1,configurable:!0}),e.prototype.ngOnInit=function(){this._parentNodeAriaLevel=function e(t){for(var r,n=t.parentElement;n&&(r=void 0,!(null==(r=n.classList)?void 0:r.contains("cdk-nested-tree-node"))&&!(null==r?void 0:r.contains("cdk-tree")));)n=n.parentElement;return n?n.classList.contains("cdk-nested-tree-node")?l.coerceNumberProperty(n.getAttribute("aria-level")):0:-1}(this._elementRef.nativeElement),this._elementRef.nativeElement.setAttribute("aria-level",""+(this.level+1)),this._tree._registerNode(this)},e.prototype.ngDoCheck=function(){var e=this.isExpandable?this.isExpanded:null;e!==this._isAriaExpanded&&this._setExpanded(e)},e.prototype.ngOnDestroy=function(){e.mostRecentTreeNode===this&&(e.mostRecentTreeNode=null),this._tree._unregisterNode(this),this._dataChanges.complete(),this._destroyed.next(),this._destroyed.complete()},e.prototype.focus=function(){this._elementRef.nativeElement.focus()},e.prototype.expand=function(){this._tree.treeControl.expand(this._data)},e.prototype.collapse=function(){this._tree.treeControl.collapse(this._data)},e.prototype.getLabel=function(){return(this._elementRef.nativeElement.textContent||"").trim()},e.prototype._getHostElement=function(){return this._elementRef.nativeElement},e.prototype._hasChildren=function(){return!1},e.prototype._setRoleFromData=function(){this.role="treeitem"},e}();E.mostRecentTreeNode=null,E.decorators=[{type:i.Directive,args:[{selector:"cdk-tree-node",exportAs:"cdkTreeNode"}]}],E.ctorParameters=function(){return[{type:i.ElementRef},{type:O}]},E.propDecorators={role:[{type:i.Input}]};var w=function(e){function t(t,r,n){var i=e.call(this,t,r)||this;return i._elementRef=t,i._tree=r,i._differs=n,i._elementRef.nativeElement.classList.add("cdk-nested-tree-node"),i}return h(t,e),t.prototype.ngAfterContentInit=function(){var e=this;this._dataDiffer=this._differs.find([]).create(this._tree._trackNode);var t=this._tree.treeControl.getChildren(this.data);Array.isArray(t)?this.updateChildrenNodes(t):r.isObservable(t)&&t.pipe(n.takeUntil(this._destroyed)).subscribe((function(t){return e.updateChildrenNodes(t)})),this.nodeOutlet.changes.pipe(n.takeUntil(this._destroyed)).subscribe((function(){return e.updateChildrenNodes()}))},t.prototype.ngOnInit=function(){e.prototype.ngOnInit.call(this)},t.prototype.ngDoCheck=function(){e.prototype.ngDoCheck.call(this)},t.prototype.ngOnDestroy=function(){this._clear(),e.prototype.ngOnDestroy.call(this)},t.prototype._hasChildren=function(){if(this._children&&this._children.length>0)return!0;var e=this._tree.treeControl;if(e.loadChildren&&e.getChildrenState){var t=e.getChildrenState(this._data);return!t||t.loading||t.hasMore||!!t.error}return!1},t.prototype.updateChildrenNodes=function(e){var t=this._getNodeOutlet();e&&(this._children=e),t&&this._children?this._tree.renderNodeChanges(this._children,this._dataDiffer,t.viewContainer,this._data):this._dataDiffer.diff([])},t.prototype._clear=function(){var e=this._getNodeOutlet();e&&(e.viewContainer.clear(),this._dataDiffer.diff([]))},t.prototype._getNodeOutlet=function(){var e=this,t=this.nodeOutlet;return t&&t.find((function(t){return!t._node||t._node===e}))},t}(E);w.decorators=[{type:i.Directive,args:[{selector:"cdk-nested-tree-node",exportAs:"cdkNestedTreeNode",inputs:["role","disabled","tabIndex"],providers:[{provide:E,useExisting:w},{provide:C,useExisting:w}]}]}],w.ctorParameters=function(){return[{type:i.ElementRef},{type:O},{type:i.IterableDiffers}]},w.propDecorators={nodeOutlet:[{type:i.ContentChildren,args:[f,{descendants:!0}]}]};
 /**
      * @license
      * Copyright Google LLC All Rights Reserved.
@@ -36,7 +35,7 @@ var D=/([A-Za-z%]+)$/,C=function(){function e(e,t,o,i){var s=this;this._treeNode
      * Use of this source code is governed by an MIT-style license that can be
      * found in the LICENSE file at https://angular.io/license
      */
-var k=function(){function e(e,t){this._tree=e,this._treeNode=t,this._recursive=!1}return Object.defineProperty(e.prototype,"recursive",{get:function(){return this._recursive},set:function(e){this._recursive=i.coerceBooleanProperty(e)},enumerable:!1,configurable:!0}),e.prototype._toggle=function(e){this.recursive?this._tree.treeControl.toggleDescendants(this._treeNode.data):this._tree.treeControl.toggle(this._treeNode.data),e.stopPropagation()},e}();k.decorators=[{type:o.Directive,args:[{selector:"[cdkTreeNodeToggle]"}]}],k.ctorParameters=function(){return[{type:v},{type:b}]},k.propDecorators={recursive:[{type:o.Input,args:["cdkTreeNodeToggleRecursive"]}],_toggle:[{type:o.HostListener,args:["click",["$event"]]}]};
+var R=/([A-Za-z%]+)$/,T=function(){function e(e,t,i,o){var a=this;this._treeNode=e,this._tree=t,this._element=i,this._dir=o,this._destroyed=new r.Subject,this.indentUnits="px",this._indent=40,this._setPadding(),o&&o.change.pipe(n.takeUntil(this._destroyed)).subscribe((function(){return a._setPadding(!0)})),e._dataChanges.subscribe((function(){return a._setPadding()}))}return Object.defineProperty(e.prototype,"level",{get:function(){return this._level},set:function(e){this._setLevelInput(e)},enumerable:!1,configurable:!0}),Object.defineProperty(e.prototype,"indent",{get:function(){return this._indent},set:function(e){this._setIndentInput(e)},enumerable:!1,configurable:!0}),e.prototype.ngOnDestroy=function(){this._destroyed.next(),this._destroyed.complete()},e.prototype._paddingIndent=function(){var e=this._treeNode.data&&this._tree.treeControl.getLevel?this._tree.treeControl.getLevel(this._treeNode.data):null,t=null==this._level?e:this._level;return"number"==typeof t?""+t*this._indent+this.indentUnits:null},e.prototype._setPadding=function(e){void 0===e&&(e=!1);var t=this._paddingIndent();if(t!==this._currentPadding||e){var r=this._element.nativeElement,n=this._dir&&"rtl"===this._dir.value?"paddingRight":"paddingLeft",i="paddingLeft"===n?"paddingRight":"paddingLeft";r.style[n]=t||"",r.style[i]="",this._currentPadding=t}},e.prototype._setLevelInput=function(e){this._level=l.coerceNumberProperty(e,null),this._setPadding()},e.prototype._setIndentInput=function(e){var t=e,r="px";if("string"==typeof e){var n=e.split(R);t=n[0],r=n[1]||r}this.indentUnits=r,this._indent=l.coerceNumberProperty(t),this._setPadding()},e}();T.decorators=[{type:i.Directive,args:[{selector:"[cdkTreeNodePadding]"}]}],T.ctorParameters=function(){return[{type:E},{type:O},{type:i.ElementRef},{type:o.Directionality,decorators:[{type:i.Optional}]}]},T.propDecorators={level:[{type:i.Input,args:["cdkTreeNodePadding"]}],indent:[{type:i.Input,args:["cdkTreeNodePaddingIndent"]}]};
 /**
      * @license
      * Copyright Google LLC All Rights Reserved.
@@ -44,7 +43,7 @@ var k=function(){function e(e,t){this._tree=e,this._treeNode=t,this._recursive=!
      * Use of this source code is governed by an MIT-style license that can be
      * found in the LICENSE file at https://angular.io/license
      */
-var N,x=[m,y,C,k,v,b,l];(N=function N(){}).decorators=[{type:o.NgModule,args:[{exports:x,declarations:x}]}],
+var I=function(){function e(e,t){this._tree=e,this._treeNode=t,this._recursive=!1}return Object.defineProperty(e.prototype,"recursive",{get:function(){return this._recursive},set:function(e){this._recursive=l.coerceBooleanProperty(e)},enumerable:!1,configurable:!0}),e.prototype._toggle=function(e){this.recursive?this._tree.treeControl.toggleDescendants(this._treeNode.data):this._tree.treeControl.toggle(this._treeNode.data),e.stopPropagation()},e}();I.decorators=[{type:i.Directive,args:[{selector:"[cdkTreeNodeToggle]"}]}],I.ctorParameters=function(){return[{type:O},{type:E}]},I.propDecorators={recursive:[{type:i.Input,args:["cdkTreeNodeToggleRecursive"]}],_toggle:[{type:i.HostListener,args:["click",["$event"]]}]};
 /**
      * @license
      * Copyright Google LLC All Rights Reserved.
@@ -52,7 +51,7 @@ var N,x=[m,y,C,k,v,b,l];(N=function N(){}).decorators=[{type:o.NgModule,args:[{e
      * Use of this source code is governed by an MIT-style license that can be
      * found in the LICENSE file at https://angular.io/license
      */
-e.BaseTreeControl=p,e.CDK_TREE_NODE_OUTLET_NODE=_,e.CdkNestedTreeNode=m,e.CdkTree=v,e.CdkTreeModule=N,e.CdkTreeNode=b,e.CdkTreeNodeDef=y,e.CdkTreeNodeOutlet=l,e.CdkTreeNodeOutletContext=g,e.CdkTreeNodePadding=C,e.CdkTreeNodeToggle=k,e.FlatTreeControl=h,e.NestedTreeControl=f,e.getTreeControlFunctionsMissingError=function E(){return Error("Could not find functions for nested/flat tree in tree control.")},e.getTreeControlMissingError=function O(){return Error("Could not find a tree control for the tree.")},e.getTreeMissingMatchingNodeDefError=function T(){return Error("Could not find a matching node definition for the provided node data.")},e.getTreeMultipleDefaultNodeDefsError=function S(){return Error("There can only be one default row without a when predicate function.")},e.getTreeNoValidDataSourceError=
+var M,P=[w,m,b,T,I,O,E,f,S];(M=function M(){}).decorators=[{type:i.NgModule,args:[{exports:P,declarations:P}]}],
 /**
      * @license
      * Copyright Google LLC All Rights Reserved.
@@ -60,4 +59,4 @@ e.BaseTreeControl=p,e.CDK_TREE_NODE_OUTLET_NODE=_,e.CdkNestedTreeNode=m,e.CdkTre
      * Use of this source code is governed by an MIT-style license that can be
      * found in the LICENSE file at https://angular.io/license
      */
-function w(){return Error("A valid data source must be provided.")},Object.defineProperty(e,"__esModule",{value:!0})}));
\ No newline at end of file
+e.BaseTreeControl=g,e.CDK_TREE_NODE_OUTLET_NODE=C,e.CdkNestedTreeNode=w,e.CdkTree=O,e.CdkTreeModule=M,e.CdkTreeNode=E,e.CdkTreeNodeDef=m,e.CdkTreeNodeOutlet=f,e.CdkTreeNodeOutletContext=k,e.CdkTreeNodePadding=T,e.CdkTreeNodePlaceholderContext=x,e.CdkTreeNodePlaceholderDef=b,e.CdkTreeNodeToggle=I,e.CdkTreeVirtualScroll=S,e.FlatTreeControl=y,e.NestedTreeControl=v,e.TreeKeyManager=N,e._TREE_VIRTUAL_SCROLL_VIEWPORT=D,e.getTreeControlFunctionsMissingError=function A(){return Error("Could not find functions for nested/flat tree in tree control.")},e.getTreeControlMissingError=function L(){return Error("Could not find a tree control for the tree.")},e.getTreeMissingMatchingNodeDefError=function V(){return Error("Could not find a matching node definition for the provided node data.")},e.getTreeMultipleDefaultNodeDefsError=function j(){return Error("There can only be one default row without a when predicate function.")},e.getTreeNoValidDataSourceError=function B(){return Error("A valid data source must be provided.")},e.getTreeVirtualScrollRequiresFlatTreeError=function U(){return Error("Virtual scrolling is only supported for trees with a flat tree control.")},Object.defineProperty(e,"__esModule",{value:!0})}));
\ No newline at end of file
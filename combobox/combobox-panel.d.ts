@@ -0,0 +1,62 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { TemplateRef } from '@angular/core';
+import { Subject } from 'rxjs';
+/** Possible values of the `aria-haspopup` attribute of a combobox. */
+export declare type AriaHasPopupValue = 'false' | 'true' | 'menu' | 'listbox' | 'tree' | 'grid' | 'dialog';
+/**
+ * Directive applied to an ng-template which holds the popup content of a combobox. The content
+ * is rendered inside of an overlay once the combobox that references the panel is opened, and
+ * uses the panel to hand its value back to the combobox.
+ */
+export declare class CdkComboboxPanel<T = unknown> {
+    readonly _templateRef: TemplateRef<unknown>;
+    /** Emits when the content of the panel has updated the value of the combobox. */
+    readonly valueUpdated: Subject<T | T[]>;
+    /** Emits when the content of the panel has asked for the panel to be closed. */
+    readonly closeRequested: Subject<void>;
+    /** Type of the content of the panel, used for the `aria-haspopup` attribute of the combobox. */
+    contentType: AriaHasPopupValue;
+    /** ID of the element that renders the content of the panel, if it is open. */
+    contentId: string;
+    /** Element that renders the content of the panel, if it is open. */
+    private _contentElement;
+    /** Whether the content should be focused as soon as it is registered. */
+    private _focusContentOnRegister;
+    constructor(_templateRef: TemplateRef<unknown>);
+    /**
+     * Updates the value of the combobox without closing the panel.
+     * @param data Value that should be passed to the combobox.
+     */
+    updateValue(data: T | T[]): void;
+    /**
+     * Closes the panel, optionally updating the value of the combobox.
+     * @param data Value that should be passed to the combobox before closing.
+     */
+    closePanel(data?: T | T[]): void;
+    /** Moves focus to the content of the panel, or once it is rendered if it isn't yet. */
+    focusContent(): void;
+    /**
+     * Registers the element that renders the content of the panel.
+     * @param element Element that renders the content.
+     * @param id ID of the element.
+     * @param contentType Type of the content, if it differs from the panel's type.
+     * @docs-private
+     */
+    _registerContent(element: HTMLElement, id: string, contentType?: AriaHasPopupValue): void;
+    /**
+     * Removes the reference to the content of the panel once it is destroyed.
+     * @docs-private
+     */
+    _unregisterContent(element: HTMLElement): void;
+    /**
+     * Resets the state that was tied to the most recent time the panel was opened.
+     * @docs-private
+     */
+    _reset(): void;
+}
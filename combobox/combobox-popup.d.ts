@@ -0,0 +1,31 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { ElementRef, OnDestroy, OnInit } from '@angular/core';
+import { AriaHasPopupValue, CdkComboboxPanel } from './combobox-panel';
+/**
+ * Directive that marks an element inside of a `cdkComboboxPanel` as the popup of the combobox.
+ * Can be used for popup content other than a `cdkListbox`, e.g. a dialog or a grid.
+ */
+export declare class CdkComboboxPopup<T = unknown> implements OnInit, OnDestroy {
+    private readonly _elementRef;
+    private readonly _injectedPanel?;
+    /** Role of the popup. */
+    role: AriaHasPopupValue;
+    /** Unique ID of the popup. */
+    id: string;
+    /**
+     * Panel that the popup is rendered in. Only has to be set if the panel
+     * can't be injected, e.g. when the app is using View Engine.
+     */
+    panel: CdkComboboxPanel<T> | null;
+    constructor(_elementRef: ElementRef<HTMLElement>, _injectedPanel?: CdkComboboxPanel<T> | undefined);
+    ngOnInit(): void;
+    ngOnDestroy(): void;
+    /** Gets the panel that the popup is rendered in. */
+    private _getPanel;
+}
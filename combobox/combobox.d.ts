@@ -0,0 +1,114 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { Directionality } from '@angular/cdk/bidi';
+import { BooleanInput } from '@angular/cdk/coercion';
+import { Overlay } from '@angular/cdk/overlay';
+import { ElementRef, EventEmitter, OnDestroy, ViewContainerRef } from '@angular/core';
+import { AriaHasPopupValue, CdkComboboxPanel } from './combobox-panel';
+/**
+ * Interactions that open the popup of a combobox.
+ * - `focus` - the combobox receives focus.
+ * - `click` - the combobox is clicked, or enter is pressed while it is focused.
+ * - `downKey` - the down arrow is pressed while the combobox is focused.
+ * - `toggle` - same as `click`, except that the interaction closes the popup if it is open.
+ */
+export declare type OpenAction = 'focus' | 'click' | 'downKey' | 'toggle';
+/** Values that can be passed in as the open actions of a combobox. */
+export declare type OpenActionInput = OpenAction | OpenAction[] | string | null | undefined;
+/**
+ * Directive that turns an element into a combobox which opens a `cdkComboboxPanel` inside of an
+ * overlay. The content of the panel, e.g. a `cdkListbox`, hands its value back to the combobox
+ * through the panel. Takes care of the `aria-expanded`, `aria-controls` and `aria-haspopup`
+ * attributes of the combobox.
+ */
+export declare class CdkCombobox<T = unknown> implements OnDestroy {
+    private readonly _elementRef;
+    private readonly _overlay;
+    protected readonly _viewContainerRef: ViewContainerRef;
+    private readonly _directionality?;
+    /** Panel that is opened by the combobox. */
+    get panel(): CdkComboboxPanel<T> | null;
+    set panel(panel: CdkComboboxPanel<T> | null);
+    private _panel;
+    /** Value of the combobox. */
+    value: T | T[] | null;
+    /** Whether the combobox is disabled. */
+    get disabled(): boolean;
+    set disabled(value: boolean);
+    private _disabled;
+    /** Interactions that open the popup. */
+    get openActions(): OpenAction[];
+    set openActions(action: OpenAction[]);
+    private _openActions;
+    /**
+     * Whether the text of the combobox should be updated when its value changes.
+     * Only applies to comboboxes that are `input` elements.
+     */
+    get autoSetText(): boolean;
+    set autoSetText(value: boolean);
+    private _autoSetText;
+    /** Emits when the popup is opened. */
+    readonly opened: EventEmitter<void>;
+    /** Emits when the popup is closed. */
+    readonly closed: EventEmitter<void>;
+    /** Emits the values of the combobox when they are changed by the content of the popup. */
+    readonly panelValueChanged: EventEmitter<T[]>;
+    /** Reference to the overlay that renders the popup. */
+    private _overlayRef;
+    /** Portal used to render the content of the panel. */
+    private _panelContent;
+    /** Whether the combobox is being focused programmatically and shouldn't open on focus. */
+    private _isRestoringFocus;
+    /** Emits when the panel of the combobox changes. */
+    private readonly _panelChanged;
+    /** Emits when the popup is closed. */
+    private readonly _popupClosed;
+    /** Emits when the combobox is destroyed. */
+    private readonly _destroyed;
+    constructor(_elementRef: ElementRef<HTMLElement>, _overlay: Overlay, _viewContainerRef: ViewContainerRef, _directionality?: Directionality | undefined);
+    ngOnDestroy(): void;
+    /** Whether the popup is open. */
+    isOpen(): boolean;
+    /** Toggles the open state of the popup. */
+    toggle(): void;
+    /** Opens the popup. */
+    open(): void;
+    /** Closes the popup. */
+    close(): void;
+    /** Handles the interactions which can open the popup. */
+    _handleInteractions(interaction: OpenAction): void;
+    /** Handles keyboard events on the combobox. */
+    _keydown(event: KeyboardEvent): void;
+    /** Gets the ID of the element that the combobox controls, if the popup is open. */
+    _getControlledId(): string | null;
+    /** Gets the type of the popup of the combobox. */
+    _getPopupType(): AriaHasPopupValue | null;
+    /** Gets the tabindex of the combobox. */
+    _getTabIndex(): string | null;
+    /** Updates the value of the combobox, and the text of the combobox if necessary. */
+    private _setComboboxValue;
+    /** Updates the text of an input element based on the value of the combobox. */
+    private _setTextContent;
+    /** Moves focus back to the combobox without opening the popup. */
+    private _restoreFocus;
+    /** Listens for the events through which the content of the panel talks to the combobox. */
+    private _subscribeToPanel;
+    /** Closes the popup when the user clicks outside of it and the combobox. */
+    private _subscribeToOutsideClicks;
+    /** Gets the configuration for the overlay that renders the popup. */
+    private _getOverlayConfig;
+    /** Gets the strategy that positions the popup next to the combobox. */
+    private _getOverlayPositionStrategy;
+    /** Gets the minimum width of the popup so that it's at least as wide as the combobox. */
+    private _getOverlayMinWidth;
+    /** Coerces the open actions into an array of valid actions. */
+    private _coerceOpenActionProperty;
+    static ngAcceptInputType_openActions: OpenActionInput;
+    static ngAcceptInputType_autoSetText: BooleanInput;
+    static ngAcceptInputType_disabled: BooleanInput;
+}
@@ -0,0 +1,91 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { Direction } from '@angular/cdk/bidi';
+import { PositionStrategy, ScrollStrategy } from '@angular/cdk/overlay';
+import { ComponentFactoryResolver, Injector, ViewContainerRef } from '@angular/core';
+/** Options for where to set focus to automatically when a dialog is opened. */
+export declare type AutoFocusTarget = 'dialog' | 'first-tabbable' | 'first-heading';
+/** Valid ARIA roles for a dialog element. */
+export declare type DialogRole = 'dialog' | 'alertdialog';
+/** Configuration for opening a dialog with the `Dialog` service. */
+export declare class DialogConfig<D = any> {
+    /**
+     * Where the attached component should live in Angular's *logical* component tree.
+     * This affects what is available for injection and the change detection order for the
+     * component instantiated inside of the dialog. This does not affect where the dialog
+     * content will be rendered.
+     */
+    viewContainerRef?: ViewContainerRef;
+    /**
+     * Injector used for the instantiation of the component to be attached. If provided,
+     * takes precedence over the injector indirectly provided by `ViewContainerRef`.
+     */
+    injector?: Injector;
+    /** ID for the dialog. If omitted, a unique one will be generated. */
+    id?: string;
+    /** The ARIA role of the dialog element. */
+    role?: DialogRole;
+    /** Custom class or classes for the overlay pane. */
+    panelClass?: string | string[];
+    /** Whether the dialog has a backdrop. */
+    hasBackdrop?: boolean;
+    /** Custom class or classes for the backdrop. */
+    backdropClass?: string | string[];
+    /** Whether the dialog can be closed by clicking on the backdrop or pressing escape. */
+    disableClose?: boolean;
+    /** Width of the dialog. */
+    width?: string;
+    /** Height of the dialog. */
+    height?: string;
+    /** Min-width of the dialog. If a number is provided, assumes pixel units. */
+    minWidth?: number | string;
+    /** Min-height of the dialog. If a number is provided, assumes pixel units. */
+    minHeight?: number | string;
+    /** Max-width of the dialog. If a number is provided, assumes pixel units. */
+    maxWidth?: number | string;
+    /** Max-height of the dialog. If a number is provided, assumes pixel units. */
+    maxHeight?: number | string;
+    /** Strategy to use when positioning the dialog. Defaults to centering it on the page. */
+    positionStrategy?: PositionStrategy;
+    /** Data being injected into the child component. */
+    data?: D | null;
+    /** Layout direction for the dialog's content. */
+    direction?: Direction;
+    /** ID of the element that describes the dialog. */
+    ariaDescribedBy?: string | null;
+    /** ID of the element that labels the dialog. */
+    ariaLabelledBy?: string | null;
+    /** Dialog label applied via `aria-label`. Takes precedence over `ariaLabelledBy`. */
+    ariaLabel?: string | null;
+    /**
+     * Whether this is a modal dialog. Content outside of modal dialogs
+     * is hidden from assistive technology while the dialog is open.
+     */
+    ariaModal?: boolean;
+    /**
+     * Where the dialog should focus on open. Can be one of the `AutoFocusTarget` values, a CSS
+     * selector of an element inside the dialog or a boolean. `true` is treated the same as
+     * `first-tabbable`, whereas `false` is treated the same as `dialog`.
+     */
+    autoFocus?: AutoFocusTarget | string | boolean;
+    /**
+     * Whether the dialog should restore focus to the previously-focused element upon closing.
+     * A CSS selector or an element can be passed in to restore focus to a different element.
+     */
+    restoreFocus?: boolean | string | HTMLElement;
+    /** Scroll strategy to be used for the dialog. Defaults to blocking scrolling on the page. */
+    scrollStrategy?: ScrollStrategy;
+    /**
+     * Whether the dialog should close when the user goes backwards/forwards in history.
+     * Note that this usually doesn't include clicking on links (unless the user is using
+     * the `HashLocationStrategy`).
+     */
+    closeOnNavigation?: boolean;
+    /** Alternate `ComponentFactoryResolver` to use when resolving the associated component. */
+    componentFactoryResolver?: ComponentFactoryResolver;
+}
@@ -0,0 +1,67 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { ConfigurableFocusTrapFactory } from '@angular/cdk/a11y';
+import { BasePortalOutlet, CdkPortalOutlet, ComponentPortal, DomPortal, TemplatePortal } from '@angular/cdk/portal';
+import { ComponentRef, ElementRef, EmbeddedViewRef, OnDestroy } from '@angular/core';
+import { DialogConfig } from './dialog-config';
+/**
+ * Throws an exception for the case when a dialog container is used
+ * to attach more than one piece of content.
+ * @docs-private
+ */
+export declare function throwDialogContentAlreadyAttachedError(): void;
+/**
+ * Internal component that wraps the content of a dialog opened through the `Dialog` service.
+ * It doesn't have any styles of its own, but it manages the dialog's ARIA attributes and focus.
+ * @docs-private
+ */
+export declare class CdkDialogContainer extends BasePortalOutlet implements OnDestroy {
+    private _elementRef;
+    private _focusTrapFactory;
+    private _document;
+    /** The dialog configuration. */
+    _config: DialogConfig;
+    /** The portal outlet inside of this container into which the dialog content will be loaded. */
+    _portalOutlet: CdkPortalOutlet;
+    /** The class that traps and manages focus within the dialog. */
+    private _focusTrap;
+    /** Element that was focused before the dialog was opened. Used to restore focus on close. */
+    private _elementFocusedBeforeDialogWasOpened;
+    constructor(_elementRef: ElementRef<HTMLElement>, _focusTrapFactory: ConfigurableFocusTrapFactory, _document: any, 
+    /** The dialog configuration. */
+    _config: DialogConfig);
+    ngOnDestroy(): void;
+    /**
+     * Attach a ComponentPortal as content to this dialog container.
+     * @param portal Portal to be attached as the dialog content.
+     */
+    attachComponentPortal<T>(portal: ComponentPortal<T>): ComponentRef<T>;
+    /**
+     * Attach a TemplatePortal as content to this dialog container.
+     * @param portal Portal to be attached as the dialog content.
+     */
+    attachTemplatePortal<C>(portal: TemplatePortal<C>): EmbeddedViewRef<C>;
+    /**
+     * Attaches a DOM portal to the dialog container.
+     * @param portal Portal to be attached.
+     */
+    attachDomPortal(portal: DomPortal): void;
+    /** Sets up the focus management once the dialog's content has been attached. */
+    private _contentAttached;
+    /** Moves focus inside the dialog, based on the `autoFocus` option. */
+    private _trapFocus;
+    /**
+     * Focuses the first element inside the dialog that matches a CSS selector,
+     * or the dialog container itself if no such element exists.
+     */
+    private _focusByCssSelector;
+    /** Restores focus to the element that was focused before the dialog was opened. */
+    private _restoreFocus;
+    /** Returns whether focus is inside the dialog. */
+    private _containsFocus;
+}
@@ -0,0 +1,24 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { Overlay, ScrollStrategy } from '@angular/cdk/overlay';
+import { InjectionToken } from '@angular/core';
+import { DialogConfig } from './dialog-config';
+/** Injection token that can be used to access the data that was passed in to a dialog. */
+export declare const DIALOG_DATA: InjectionToken<any>;
+/** Injection token that can be used to specify default dialog options. */
+export declare const DEFAULT_DIALOG_CONFIG: InjectionToken<DialogConfig<any>>;
+/** Injection token that determines the scroll handling while a dialog is open. */
+export declare const DIALOG_SCROLL_STRATEGY: InjectionToken<() => ScrollStrategy>;
+/** @docs-private */
+export declare function DIALOG_SCROLL_STRATEGY_PROVIDER_FACTORY(overlay: Overlay): () => ScrollStrategy;
+/** @docs-private */
+export declare const DIALOG_SCROLL_STRATEGY_PROVIDER: {
+    provide: InjectionToken<() => ScrollStrategy>;
+    deps: (typeof Overlay)[];
+    useFactory: typeof DIALOG_SCROLL_STRATEGY_PROVIDER_FACTORY;
+};
@@ -0,0 +1,64 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { OverlayRef } from '@angular/cdk/overlay';
+import { Observable } from 'rxjs';
+import { DialogConfig } from './dialog-config';
+import { CdkDialogContainer } from './dialog-container';
+/** Reference to a dialog opened via the `Dialog` service. */
+export declare class DialogRef<R = any, C = any> {
+    /** Reference to the overlay in which the dialog is rendered. */
+    readonly overlayRef: OverlayRef;
+    /** Configuration that was used to open the dialog. */
+    readonly config: DialogConfig;
+    /** Instance of the component that is rendered inside the dialog. Null for template dialogs. */
+    componentInstance: C | null;
+    /** Instance of the container that is rendering the dialog's content. */
+    containerInstance: CdkDialogContainer;
+    /** Whether the user is allowed to close the dialog through the backdrop or escape key. */
+    disableClose: boolean | undefined;
+    /** Unique ID of the dialog. */
+    readonly id: string;
+    /** Subject for notifying the user that the dialog is about to close. */
+    private readonly _beforeClosed;
+    /** Subject for notifying the user that the dialog has finished closing. */
+    private readonly _afterClosed;
+    /** Result to be passed along to the `afterClosed` subscribers. */
+    private _result;
+    constructor(
+    /** Reference to the overlay in which the dialog is rendered. */
+    overlayRef: OverlayRef, 
+    /** Configuration that was used to open the dialog. */
+    config: DialogConfig);
+    /**
+     * Closes the dialog.
+     * @param result Optional result to return to the dialog opener.
+     */
+    close(result?: R): void;
+    /** Gets an observable that is notified when the dialog is about to be closed. */
+    beforeClosed(): Observable<R | undefined>;
+    /** Gets an observable that is notified with the dialog's result once it has been closed. */
+    afterClosed(): Observable<R | undefined>;
+    /** Gets an observable that emits when the overlay's backdrop has been clicked. */
+    backdropClick(): Observable<MouseEvent>;
+    /** Gets an observable that emits when keydown events are targeted on the overlay. */
+    keydownEvents(): Observable<KeyboardEvent>;
+    /** Updates the position of the dialog based on the current position strategy. */
+    updatePosition(): this;
+    /**
+     * Updates the dialog's width and height.
+     * @param width New width of the dialog.
+     * @param height New height of the dialog.
+     */
+    updateSize(width?: string | number, height?: string | number): this;
+    /** Adds a class to the dialog's overlay pane. */
+    addPanelClass(classes: string | string[]): this;
+    /** Removes a class from the dialog's overlay pane. */
+    removePanelClass(classes: string | string[]): this;
+    /** Emits the `beforeClosed` event, if it hasn't been emitted already. */
+    private _notifyBeforeClosed;
+}
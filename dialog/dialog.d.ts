@@ -0,0 +1,103 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { Overlay, OverlayContainer } from '@angular/cdk/overlay';
+import { ComponentType } from '@angular/cdk/portal';
+import { Injector, OnDestroy, TemplateRef } from '@angular/core';
+import { Observable, Subject } from 'rxjs';
+import { DialogConfig } from './dialog-config';
+import { DialogRef } from './dialog-ref';
+/**
+ * Service that can be used to open modal dialogs. The dialogs don't have any styles of their
+ * own, aside from the ones needed for the overlay, which makes them suitable for unstyled apps.
+ */
+export declare class Dialog implements OnDestroy {
+    private _overlay;
+    private _injector;
+    private _defaultOptions;
+    private _parentDialog;
+    private _overlayContainer;
+    private _openDialogsAtThisLevel;
+    private readonly _afterAllClosedAtThisLevel;
+    private readonly _afterOpenedAtThisLevel;
+    private _ariaHiddenElements;
+    private _scrollStrategy;
+    /** Keeps track of the currently-open dialogs. */
+    get openDialogs(): DialogRef[];
+    /** Stream that emits when a dialog has been opened. */
+    get afterOpened(): Subject<DialogRef>;
+    /**
+     * Stream that emits when all open dialogs have finished closing.
+     * Will emit on subscribe if there are no open dialogs to begin with.
+     */
+    readonly afterAllClosed: Observable<void>;
+    constructor(_overlay: Overlay, _injector: Injector, _defaultOptions: DialogConfig, _parentDialog: Dialog, _overlayContainer: OverlayContainer, scrollStrategy: any);
+    /**
+     * Opens a modal dialog containing the given component.
+     * @param component Type of the component to load into the dialog.
+     * @param config Extra configuration options.
+     * @returns Reference to the newly-opened dialog.
+     */
+    open<T, D = any, R = any>(component: ComponentType<T>, config?: DialogConfig<D>): DialogRef<R, T>;
+    /**
+     * Opens a modal dialog containing the given template.
+     * @param template TemplateRef to instantiate as the dialog content.
+     * @param config Extra configuration options.
+     * @returns Reference to the newly-opened dialog.
+     */
+    open<T, D = any, R = any>(template: TemplateRef<T>, config?: DialogConfig<D>): DialogRef<R, T>;
+    /** Closes all of the currently-open dialogs. */
+    closeAll(): void;
+    /**
+     * Finds an open dialog by its id.
+     * @param id ID to use when looking up the dialog.
+     */
+    getDialogById(id: string): DialogRef | undefined;
+    ngOnDestroy(): void;
+    /**
+     * Creates the overlay configuration for a dialog.
+     * @param config The dialog configuration.
+     * @returns The overlay configuration.
+     */
+    private _getOverlayConfig;
+    /**
+     * Attaches a dialog container to an overlay.
+     * @param overlayRef Reference to the dialog's underlying overlay.
+     * @param config The dialog configuration.
+     * @returns The instance of the attached container.
+     */
+    private _attachContainer;
+    /**
+     * Attaches the user-provided component or template to the already-created dialog container.
+     * @param componentOrTemplateRef The type of component being loaded into the dialog,
+     *     or a TemplateRef to instantiate as the content.
+     * @param dialogRef Reference to the dialog.
+     * @param config The dialog configuration.
+     */
+    private _attachDialogContent;
+    /**
+     * Creates a custom injector to be used inside the dialog. This allows a component loaded inside
+     * of a dialog to close itself and, optionally, to return a value.
+     * @param config Config object that is used to construct the dialog.
+     * @param dialogRef Reference to the dialog.
+     * @returns The custom injector that can be used inside the dialog.
+     */
+    private _createInjector;
+    /** Gets the injector that should be used as the parent of the dialog's injectors. */
+    private _getParentInjector;
+    /**
+     * Removes a dialog from the array of open dialogs.
+     * @param dialogRef Dialog to be removed.
+     */
+    private _removeOpenDialog;
+    /** Hides all of the content that isn't an overlay from assistive technology. */
+    private _hideNonDialogContentFromAssistiveTechnology;
+    /** Closes all of the dialogs in an array. */
+    private _closeDialogs;
+    /** Gets the `afterAllClosed` subject of the top-level dialog service. */
+    private _getAfterAllClosed;
+}
@@ -0,0 +1,13 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+export * from './dialog';
+export * from './dialog-config';
+export * from './dialog-container';
+export * from './dialog-injectors';
+export * from './dialog-module';
+export * from './dialog-ref';
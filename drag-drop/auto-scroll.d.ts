@@ -0,0 +1,49 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { Point } from './drag-ref';
+/**
+ * Default speed, in pixels per frame, at which to auto-scroll while an item is being dragged
+ * freely. Starts off slowly and speeds up as the pointer gets closer to the edge.
+ * @param proximity How close the pointer is to the edge, from 0 at the start of the
+ *     auto-scroll region to 1 at the edge itself.
+ */
+export declare function defaultAutoScrollSpeed(proximity: number): number;
+/**
+ * Increments the vertical scroll position of a node.
+ * @param node Node whose scroll position should change.
+ * @param amount Amount of pixels that the `node` should be scrolled.
+ */
+export declare function incrementVerticalScroll(node: HTMLElement | Window, amount: number): void;
+/**
+ * Increments the horizontal scroll position of a node.
+ * @param node Node whose scroll position should change.
+ * @param amount Amount of pixels that the `node` should be scrolled.
+ */
+export declare function incrementHorizontalScroll(node: HTMLElement | Window, amount: number): void;
+/**
+ * Gets the amount by which a scrollable region has to be scrolled along a single axis so that
+ * an element inside of it becomes visible. Elements that are larger than the region are
+ * aligned with its start edge.
+ * @param regionStart Start edge of the visible part of the region.
+ * @param regionEnd End edge of the visible part of the region.
+ * @param start Start edge of the element.
+ * @param end End edge of the element.
+ */
+export declare function getScrollIntoViewDelta(regionStart: number, regionEnd: number, start: number, end: number): number;
+/**
+ * Gets the velocity, in pixels per frame, at which a scrollable region should be auto-scrolled
+ * based on how close the user's pointer is to its edges.
+ * @param clientRect Dimensions of the scrollable region.
+ * @param pointerX Position of the user's pointer along the x axis.
+ * @param pointerY Position of the user's pointer along the y axis.
+ * @param threshold Distance, in pixels, from the edges at which to start scrolling.
+ * @param speed Function that determines the speed based on how close the pointer is to an edge.
+ * @param element Element that will be scrolled. Used to check whether it can be scrolled any
+ *     further. Should be omitted for the viewport.
+ */
+export declare function getAutoScrollVelocity(clientRect: ClientRect, pointerX: number, pointerY: number, threshold: number, speed: (proximity: number) => number, element?: HTMLElement): Point;
@@ -5,8 +5,13 @@
  * Use of this source code is governed by an MIT-style license that can be
  * found in the LICENSE file at https://angular.io/license
  */
-/** Gets a mutable version of an element's bounding `ClientRect`. */
-export declare function getMutableClientRect(element: Element): ClientRect;
+/**
+ * Gets a mutable version of an element's bounding `ClientRect`.
+ * @param element Element to be measured.
+ * @param referenceDocument Document relative to whose viewport the element should be measured.
+ *     Only makes a difference for elements inside same-origin frames.
+ */
+export declare function getMutableClientRect(element: Element, referenceDocument?: Document): ClientRect;
 /**
  * Checks whether some coordinates are within a `ClientRect`.
  * @param clientRect ClientRect that is being checked.
@@ -7,6 +7,9 @@
  */
 import { InjectionToken } from '@angular/core';
 import { DragRefConfig, Point, DragRef } from '../drag-ref';
+import { DropListRefOrientation } from '../drop-list-ref';
+import { CdkDragKeyboardAction } from '../drag-events';
+import { DragAnimationFn } from '../drag-animation';
 /** Possible values that can be used to configure the drag start delay. */
 export declare type DragStartDelay = number | {
     touch: number;
@@ -16,8 +19,19 @@ export declare type DragStartDelay = number | {
 export declare type DragAxis = 'x' | 'y';
 /** Function that can be used to constrain the position of a dragged element. */
 export declare type DragConstrainPosition = (point: Point, dragRef: DragRef) => Point;
+/**
+ * Function that produces the message that is announced to assistive technology when the user
+ * performs an action while dragging an item using the keyboard.
+ */
+export declare type DragKeyboardMessageFn = (event: CdkDragKeyboardAction) => string;
+/**
+ * Function that determines the speed, in pixels per frame, at which to auto-scroll while an
+ * item is being dragged outside of a drop list. Gets called with a value between 0 and 1
+ * describing how close the user's pointer is to the edge, 1 being at the edge itself.
+ */
+export declare type DragAutoScrollSpeedFn = (proximity: number) => number;
 /** Possible orientations for a drop list. */
-export declare type DropListOrientation = 'horizontal' | 'vertical';
+export declare type DropListOrientation = DropListRefOrientation;
 /**
  * Injection token that can be used to configure the
  * behavior of the drag&drop-related components.
@@ -40,4 +54,10 @@ export interface DragDropConfig extends Partial<DragRefConfig> {
     listOrientation?: DropListOrientation;
     zIndex?: number;
     previewContainer?: 'global' | 'parent';
+    keyboardDraggingEnabled?: boolean;
+    keyboardMessage?: DragKeyboardMessageFn;
+    dragAutoScrollDisabled?: boolean;
+    dragAutoScrollThreshold?: number;
+    dragAutoScrollSpeed?: DragAutoScrollSpeedFn;
+    animationFn?: DragAnimationFn;
 }
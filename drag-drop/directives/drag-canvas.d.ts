@@ -0,0 +1,61 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { BooleanInput, NumberInput } from '@angular/cdk/coercion';
+import { ChangeDetectorRef, ElementRef, EventEmitter, InjectionToken, OnDestroy } from '@angular/core';
+import { CdkDrag } from './drag';
+import { CdkDragCanvasDrop } from '../drag-events';
+import { DragCanvasRef } from '../drag-canvas-ref';
+import { DragDrop } from '../drag-drop';
+import { Point } from '../drag-ref';
+/**
+ * Injection token that can be used to reference instances of `CdkDragCanvas`. It serves as
+ * alternative token to the actual `CdkDragCanvas` class which could cause unnecessary
+ * retention of the class and its directive metadata.
+ */
+export declare const CDK_DRAG_CANVAS: InjectionToken<CdkDragCanvas<any>>;
+/**
+ * Container inside of which `cdkDrag` items can be positioned freely. Items are kept inside the
+ * canvas, can be snapped to a grid and are aligned with their siblings while they're being
+ * dragged. The canvas element should be positioned (e.g. `position: relative`) so that the
+ * alignment guides can be rendered inside it.
+ */
+export declare class CdkDragCanvas<T = any> implements OnDestroy {
+    /** Element that the canvas is attached to. */
+    element: ElementRef<HTMLElement>;
+    private _changeDetectorRef;
+    /** Reference to the underlying canvas instance. */
+    _canvasRef: DragCanvasRef<CdkDragCanvas<T>>;
+    /** Arbitrary data to attach to this canvas. */
+    data: T;
+    /** Size of the grid, in pixels, to which the items are snapped. Zero disables snapping. */
+    gridSize: number;
+    /**
+     * Distance, in pixels, at which an item is aligned with one of its siblings and an
+     * alignment guide is shown. Zero disables the alignment guides.
+     */
+    guideThreshold: number;
+    /** Whether the items are prevented from overlapping each other. */
+    preventOverlap: boolean;
+    /** Emits when the user drops an item inside the canvas. */
+    dropped: EventEmitter<CdkDragCanvasDrop<T>>;
+    constructor(
+    /** Element that the canvas is attached to. */
+    element: ElementRef<HTMLElement>, dragDrop: DragDrop, _changeDetectorRef: ChangeDetectorRef);
+    /** Registers an item with the canvas. */
+    addItem(item: CdkDrag): void;
+    /** Removes an item from the canvas. */
+    removeItem(item: CdkDrag): void;
+    /** Gets the position of an item, relative to the canvas. */
+    getItemPosition(item: CdkDrag): Point;
+    /** Moves an item to a specific position, relative to the canvas. */
+    setItemPosition(item: CdkDrag, position: Point): void;
+    ngOnDestroy(): void;
+    static ngAcceptInputType_gridSize: NumberInput;
+    static ngAcceptInputType_guideThreshold: NumberInput;
+    static ngAcceptInputType_preventOverlap: BooleanInput;
+}
@@ -0,0 +1,34 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { BooleanInput } from '@angular/cdk/coercion';
+import { DragDropHistory } from '../drag-drop-history';
+/**
+ * Adds keyboard shortcuts for undoing and redoing drag&drop operations while focus is inside
+ * the element. Ctrl+Z (Cmd+Z on Mac) undoes the last operation, whereas Ctrl+Shift+Z and Ctrl+Y
+ * redo it. The shortcuts aren't handled while the user is typing inside a text field so that
+ * they don't interfere with the native undo behavior.
+ */
+export declare class CdkDragDropHistory {
+    private _defaultHistory;
+    /**
+     * History whose operations should be undone and redone.
+     * Defaults to the `DragDropHistory` that is available for injection.
+     */
+    get history(): DragDropHistory;
+    set history(value: DragDropHistory);
+    private _history;
+    /** Whether the keyboard shortcuts are disabled. */
+    get disabled(): boolean;
+    set disabled(value: boolean);
+    private _disabled;
+    constructor(_defaultHistory: DragDropHistory);
+    /** Handles keyboard events on the host element. */
+    _handleKeydown(event: KeyboardEvent): void;
+    static ngAcceptInputType_history: DragDropHistory | '';
+    static ngAcceptInputType_disabled: BooleanInput;
+}
@@ -0,0 +1,17 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { CdkDragKeyboardAction } from '../drag-events';
+/**
+ * Messages that are announced to assistive technology when the user performs an action while
+ * dragging an item using the keyboard. A different implementation can be provided in order to
+ * translate the messages. Note that the `cdkDragKeyboardMessage` input takes precedence.
+ */
+export declare class CdkDragKeyboardIntl {
+    /** Gets the message that should be announced for an action performed using the keyboard. */
+    getMessage(event: CdkDragKeyboardAction): string;
+}
@@ -5,18 +5,23 @@
  * Use of this source code is governed by an MIT-style license that can be
  * found in the LICENSE file at https://angular.io/license
  */
+import { LiveAnnouncer } from '@angular/cdk/a11y';
 import { Directionality } from '@angular/cdk/bidi';
 import { AfterViewInit, ElementRef, EventEmitter, NgZone, OnDestroy, QueryList, ViewContainerRef, OnChanges, SimpleChanges, ChangeDetectorRef } from '@angular/core';
-import { BooleanInput } from '@angular/cdk/coercion';
+import { BooleanInput, NumberInput } from '@angular/cdk/coercion';
+import { ScrollDispatcher } from '@angular/cdk/scrolling';
 import { Observable } from 'rxjs';
-import { CdkDragDrop, CdkDragEnd, CdkDragEnter, CdkDragExit, CdkDragMove, CdkDragStart, CdkDragRelease } from '../drag-events';
+import { CdkDragDrop, CdkDragEnd, CdkDragEnter, CdkDragExit, CdkDragMove, CdkDragStart, CdkDragRelease, CdkDragKeyboardAction, CdkDragNativeEnd, CdkDragNativeStart, CdkDragAnimationDone, CdkDragDropEffectChange } from '../drag-events';
 import { CdkDragHandle } from './drag-handle';
 import { CdkDragPlaceholder } from './drag-placeholder';
 import { CdkDragPreview } from './drag-preview';
 import { DragRef, Point, PreviewContainer } from '../drag-ref';
 import { CdkDropListInternal as CdkDropList } from './drop-list';
+import { CdkDragCanvas } from './drag-canvas';
 import { DragDrop } from '../drag-drop';
-import { DragDropConfig, DragStartDelay, DragAxis } from './config';
+import { DragAnimationFn } from '../drag-animation';
+import { DragDropConfig, DragStartDelay, DragAxis, DragKeyboardMessageFn, DragAutoScrollSpeedFn } from './config';
+import { CdkDragKeyboardIntl } from './drag-keyboard-intl';
 /** Element that can be moved inside a CdkDropList container. */
 export declare class CdkDrag<T = any> implements AfterViewInit, OnChanges, OnDestroy {
     /** Element that the draggable is attached to. */
@@ -29,10 +34,22 @@ export declare class CdkDrag<T = any> implements AfterViewInit, OnChanges, OnDes
     private _changeDetectorRef;
     private _selfHandle?;
     private _parentDrag?;
+    /** @breaking-change 13.0.0 `_liveAnnouncer` parameter to become required. */
+    private _liveAnnouncer?;
+    /** @breaking-change 13.0.0 `_canvas` parameter to become required. */
+    private _canvas?;
+    /** @breaking-change 13.0.0 `_scrollDispatcher` parameter to become required. */
+    private _scrollDispatcher?;
+    /** @breaking-change 13.0.0 `_keyboardIntl` parameter to become required. */
+    private _keyboardIntl?;
     private _destroyed;
     private static _dragInstances;
+    /** Whether the element's scrollable parents have been resolved. */
+    private _scrollableParentsResolved;
     /** Reference to the underlying drag instance. */
     _dragRef: DragRef<CdkDrag<T>>;
+    /** Tab index that was set on the host element before the directive was initialized. */
+    private _initialTabIndex;
     /** Elements that can be used to drag the draggable item. */
     _handles: QueryList<CdkDragHandle>;
     /** Element that will be used as a template to create the draggable item's preview. */
@@ -41,6 +58,11 @@ export declare class CdkDrag<T = any> implements AfterViewInit, OnChanges, OnDes
     _placeholderTemplate: CdkDragPlaceholder;
     /** Arbitrary data to attach to this drag instance. */
     data: T;
+    /**
+     * Kinds of data that the item represents. Drop lists use them to determine
+     * whether they accept the item, based on their `cdkDropListAccepts` rules.
+     */
+    kind: string | string[];
     /** Locks the position of the dragged element along the specified axis. */
     lockAxis: DragAxis;
     /**
@@ -61,6 +83,28 @@ export declare class CdkDrag<T = any> implements AfterViewInit, OnChanges, OnDes
      * pointer down before starting to drag the element.
      */
     dragStartDelay: DragStartDelay;
+    /**
+     * Whether to auto-scroll the viewport and any `cdkScrollable` ancestors when the user moves
+     * their pointer close to their edges, while the item is being dragged outside of a drop list.
+     * Auto-scrolling is opt-in, so this has to be set to `false` in order to enable it.
+     */
+    autoScrollDisabled: boolean;
+    /**
+     * Distance, in pixels, from the edges of the viewport or a scrollable ancestor at
+     * which to start auto-scrolling while the item is dragged outside of a drop list.
+     */
+    autoScrollThreshold: number;
+    /**
+     * Function that determines the speed, in pixels per frame, at which to auto-scroll while the
+     * item is being dragged outside of a drop list, based on how close the pointer is to the edge.
+     */
+    autoScrollSpeed: DragAutoScrollSpeedFn;
+    /**
+     * Function used to animate the preview back to its placeholder when the item is dropped and
+     * to animate the placeholder when it enters a new container. Can be used to perform the
+     * animations with the Web Animations API or to disable them by passing in a no-op function.
+     */
+    animationFn: DragAnimationFn | null;
     /**
      * Sets the position of a `CdkDrag` that is outside of a drop container.
      * Can be used to restore the element's position for a returning user.
@@ -96,6 +140,33 @@ export declare class CdkDrag<T = any> implements AfterViewInit, OnChanges, OnDes
      * Same advantages and disadvantages as `parent`.
      */
     previewContainer: PreviewContainer;
+    /**
+     * Whether the item can be dragged using the keyboard. Once enabled, items inside a drop list
+     * can be picked up by pressing space or enter while they, or one of their handles, have focus.
+     * Note that the item is only made focusable automatically if it doesn't have handles.
+     */
+    get keyboardDraggingEnabled(): boolean;
+    set keyboardDraggingEnabled(value: boolean);
+    private _keyboardDraggingEnabled;
+    /**
+     * Function that produces the message that is announced to assistive technology when the user
+     * picks up, moves, drops or cancels dragging the item using the keyboard. Defaults to the
+     * messages of the `CdkDragKeyboardIntl` service.
+     */
+    keyboardMessage: DragKeyboardMessageFn;
+    /**
+     * Data that is exposed to native drop targets, keyed by its format (e.g. `text/plain`). When
+     * set, the item can be dragged out of the page, into other applications or into drop lists that
+     * accept native drops. Note that the browser's own drag&drop is used for such items, rather
+     * than the CDK's, which means that handles and the custom preview and placeholder are ignored.
+     */
+    get nativeData(): {
+        [format: string]: string;
+    } | null;
+    set nativeData(value: {
+        [format: string]: string;
+    } | null);
+    private _nativeData;
     /** Emits when the user starts dragging the item. */
     started: EventEmitter<CdkDragStart>;
     /** Emits when the user has released a drag item, before any animations have started. */
@@ -108,6 +179,19 @@ export declare class CdkDrag<T = any> implements AfterViewInit, OnChanges, OnDes
     exited: EventEmitter<CdkDragExit<any>>;
     /** Emits when the user drops the item inside a container. */
     dropped: EventEmitter<CdkDragDrop<any>>;
+    /** Emits when the user starts dragging the item out as native data. */
+    nativeStarted: EventEmitter<CdkDragNativeStart<T>>;
+    /** Emits when a native drag sequence of the item has ended. */
+    nativeEnded: EventEmitter<CdkDragNativeEnd<T>>;
+    /**
+     * Emits when the effect of dropping the item at its current position changes, e.g. because
+     * the user moved it over a list that copies the item or that refuses it altogether.
+     */
+    dropEffectChanged: EventEmitter<CdkDragDropEffectChange<T>>;
+    /** Emits when an animation of the item's preview or placeholder is done. */
+    animationDone: EventEmitter<CdkDragAnimationDone<T>>;
+    /** Emits when the user performs an action while dragging the item using the keyboard. */
+    keyboardAction: EventEmitter<CdkDragKeyboardAction<T>>;
     /**
      * Emits as the user is dragging the item. Use with caution,
      * because this event will fire for every pixel that the user has dragged.
@@ -122,7 +206,15 @@ export declare class CdkDrag<T = any> implements AfterViewInit, OnChanges, OnDes
      * @deprecated `_document` parameter no longer being used and will be removed.
      * @breaking-change 12.0.0
      */
-    _document: any, _ngZone: NgZone, _viewContainerRef: ViewContainerRef, config: DragDropConfig, _dir: Directionality, dragDrop: DragDrop, _changeDetectorRef: ChangeDetectorRef, _selfHandle?: CdkDragHandle | undefined, _parentDrag?: CdkDrag<any> | undefined);
+    _document: any, _ngZone: NgZone, _viewContainerRef: ViewContainerRef, config: DragDropConfig, _dir: Directionality, dragDrop: DragDrop, _changeDetectorRef: ChangeDetectorRef, _selfHandle?: CdkDragHandle | undefined, _parentDrag?: CdkDrag<any> | undefined, 
+    /** @breaking-change 13.0.0 `_liveAnnouncer` parameter to become required. */
+    _liveAnnouncer?: LiveAnnouncer | undefined, 
+    /** @breaking-change 13.0.0 `_canvas` parameter to become required. */
+    _canvas?: CdkDragCanvas<any> | undefined, 
+    /** @breaking-change 13.0.0 `_scrollDispatcher` parameter to become required. */
+    _scrollDispatcher?: ScrollDispatcher | undefined, 
+    /** @breaking-change 13.0.0 `_keyboardIntl` parameter to become required. */
+    _keyboardIntl?: CdkDragKeyboardIntl | undefined);
     /**
      * Returns the element that is being used as a placeholder
      * while the current element is being dragged.
@@ -148,9 +240,20 @@ export declare class CdkDrag<T = any> implements AfterViewInit, OnChanges, OnDes
     private _getBoundaryElement;
     /** Syncs the inputs of the CdkDrag with the options of the underlying DragRef. */
     private _syncInputs;
+    /**
+     * Gets the tab index of the host element. Items inside a drop list are made focusable if they
+     * can be dragged using the keyboard, unless they have handles or a custom tab index.
+     * @docs-private
+     */
+    _getTabIndex(): string | null;
+    /** Gets the message that should be announced for an action performed using the keyboard. */
+    private _getKeyboardMessage;
     /** Handles the events from the underlying `DragRef`. */
     private _handleEvents;
     /** Assigns the default input values based on a provided config object. */
     private _assignDefaults;
     static ngAcceptInputType_disabled: BooleanInput;
+    static ngAcceptInputType_keyboardDraggingEnabled: BooleanInput;
+    static ngAcceptInputType_autoScrollDisabled: BooleanInput;
+    static ngAcceptInputType_autoScrollThreshold: NumberInput;
 }
@@ -10,10 +10,13 @@ import { ElementRef, EventEmitter, OnDestroy, ChangeDetectorRef, InjectionToken
 import { Directionality } from '@angular/cdk/bidi';
 import { ScrollDispatcher } from '@angular/cdk/scrolling';
 import { CdkDrag } from './drag';
-import { CdkDragDrop, CdkDragEnter, CdkDragExit, CdkDragSortEvent } from '../drag-events';
+import { CdkDragDrop, CdkDragEnter, CdkDragExit, CdkDragSortEvent, CdkDropListSelectionChange, CdkDropListNativeDrop, CdkDropListNativeEnter, CdkDropListNativeExit, CdkDropListNativeSortEvent, CdkDropListAnimationDone } from '../drag-events';
+import { DragDropHistory } from '../drag-drop-history';
+import { DropListAcceptRule } from '../drop-effect';
 import { CdkDropListGroup } from './drop-list-group';
 import { DropListRef } from '../drop-list-ref';
 import { DragDrop } from '../drag-drop';
+import { DragAnimationFn } from '../drag-animation';
 import { DropListOrientation, DragAxis, DragDropConfig } from './config';
 /**
  * Internal compile-time-only representation of a `CdkDropList`.
@@ -36,6 +39,8 @@ export declare class CdkDropList<T = any> implements OnDestroy {
     private _scrollDispatcher;
     private _dir?;
     private _group?;
+    /** @breaking-change 13.0.0 `_history` parameter to become required. */
+    private _history?;
     /** Emits when the list has been destroyed. */
     private _destroyed;
     /** Whether the element's scrollable parents have been resolved. */
@@ -47,12 +52,16 @@ export declare class CdkDropList<T = any> implements OnDestroy {
     /**
      * Other draggable containers that this container is connected to and into which the
      * container's items can be transferred. Can either be references to other drop containers,
-     * or their unique IDs.
+     * or their unique IDs. The containers don't have to be in the same shadow root or document,
+     * as long as any frames that they're rendered in have the same origin.
      */
     connectedTo: (CdkDropList | string)[] | CdkDropList | string;
     /** Arbitrary data to attach to this container. */
     data: T;
-    /** Direction in which the list is oriented. */
+    /**
+     * Direction in which the list is oriented. Use `mixed` if the items
+     * can wrap onto multiple lines, e.g. when sorting a grid of cards.
+     */
     orientation: DropListOrientation;
     /**
      * Unique ID for the drop zone. Can be used as a reference
@@ -74,10 +83,47 @@ export declare class CdkDropList<T = any> implements OnDestroy {
     enterPredicate: (drag: CdkDrag, drop: CdkDropList) => boolean;
     /** Functions that is used to determine whether an item can be sorted into a particular index. */
     sortPredicate: (index: number, drag: CdkDrag, drop: CdkDropList) => boolean;
+    /**
+     * Rules that determine which kinds of items, based on their `cdkDragKind`, the list accepts
+     * and the effect of dropping them into the list. The first rule that matches is used and items
+     * that don't match any rule are refused. All items are moved into the list if no rules are set.
+     */
+    acceptRules: DropListAcceptRule[] | null;
+    /**
+     * Whether to update the `data` arrays of the lists automatically when an item is dropped into
+     * this list, before `cdkDropListDropped` is emitted. Items are moved, transferred or copied
+     * depending on the drop effect, and the operation is recorded in the `DragDropHistory` so it
+     * can be undone. Drops with the `link` effect are left to be handled by the app.
+     */
+    autoUpdate: boolean;
     /** Whether to auto-scroll the view when the user moves their pointer close to the edges. */
     autoScrollDisabled: boolean;
     /** Number of pixels to scroll for each frame when auto-scrolling an element. */
     autoScrollStep: number;
+    /**
+     * Whether the user can select multiple items in the list, by clicking on them while holding
+     * down the ctrl, meta or shift keys, and drag them together.
+     */
+    get multiSelect(): boolean;
+    set multiSelect(value: boolean);
+    /**
+     * Whether the list accepts native drops, like files from the operating system
+     * or data that is being dragged from a different page.
+     */
+    get nativeDropsEnabled(): boolean;
+    set nativeDropsEnabled(value: boolean);
+    /**
+     * Function that is used to determine whether native data is allowed to be dropped into the
+     * container. Note that browsers only expose the data itself once it has been dropped, but
+     * `event.dataTransfer.types` can be used to check what kind of data is being dragged.
+     */
+    nativeEnterPredicate: (event: DragEvent, drop: CdkDropList) => boolean;
+    /**
+     * Function used to animate the items as they're moved out of the way while sorting. Can be
+     * used to perform the animations with the Web Animations API or to disable them by passing
+     * in a no-op function.
+     */
+    animationFn: DragAnimationFn | null;
     /** Emits when the user drops an item inside the container. */
     dropped: EventEmitter<CdkDragDrop<T, any>>;
     /**
@@ -91,6 +137,18 @@ export declare class CdkDropList<T = any> implements OnDestroy {
     exited: EventEmitter<CdkDragExit<T>>;
     /** Emits as the user is swapping items while actively dragging. */
     sorted: EventEmitter<CdkDragSortEvent<T>>;
+    /** Emits when the items that are selected in the list have changed. */
+    selectionChange: EventEmitter<CdkDropListSelectionChange<T>>;
+    /** Emits when native data is dragged into the container. */
+    nativeEntered: EventEmitter<CdkDropListNativeEnter<T>>;
+    /** Emits when native data is dragged out of the container without being dropped. */
+    nativeExited: EventEmitter<CdkDropListNativeExit<T>>;
+    /** Emits when the index at which native data would be inserted changes. */
+    nativeSorted: EventEmitter<CdkDropListNativeSortEvent<T>>;
+    /** Emits when native data, like files or text, is dropped into the container. */
+    nativeDropped: EventEmitter<CdkDropListNativeDrop<T>>;
+    /** Emits when an item is done animating to its new position while sorting. */
+    animationDone: EventEmitter<CdkDropListAnimationDone<T>>;
     /**
      * Keeps track of the items that are registered with this container. Historically we used to
      * do this with a `ContentChildren` query, however queries don't handle transplanted views very
@@ -101,13 +159,23 @@ export declare class CdkDropList<T = any> implements OnDestroy {
     private _unsortedItems;
     constructor(
     /** Element that the drop list is attached to. */
-    element: ElementRef<HTMLElement>, dragDrop: DragDrop, _changeDetectorRef: ChangeDetectorRef, _scrollDispatcher: ScrollDispatcher, _dir?: Directionality | undefined, _group?: CdkDropListGroup<CdkDropList<any>> | undefined, config?: DragDropConfig);
+    element: ElementRef<HTMLElement>, dragDrop: DragDrop, _changeDetectorRef: ChangeDetectorRef, _scrollDispatcher: ScrollDispatcher, _dir?: Directionality | undefined, _group?: CdkDropListGroup<CdkDropList<any>> | undefined, config?: DragDropConfig, 
+    /** @breaking-change 13.0.0 `_history` parameter to become required. */
+    _history?: DragDropHistory | undefined);
     /** Registers an items with the drop list. */
     addItem(item: CdkDrag): void;
     /** Removes an item from the drop list. */
     removeItem(item: CdkDrag): void;
     /** Gets the registered items in the list, sorted by their position in the DOM. */
     getSortedItems(): CdkDrag[];
+    /** Gets the items that are currently selected, in the order in which they appear in the list. */
+    getSelectedItems(): CdkDrag[];
+    /** Adds an item to the selection of the list. */
+    selectItem(item: CdkDrag): void;
+    /** Removes an item from the selection of the list. */
+    deselectItem(item: CdkDrag): void;
+    /** Deselects all of the items in the list. */
+    clearSelection(): void;
     ngOnDestroy(): void;
     /** Syncs the inputs of the CdkDropList with the options of the underlying DropListRef. */
     private _setupInputSyncSubscription;
@@ -121,4 +189,7 @@ export declare class CdkDropList<T = any> implements OnDestroy {
     static ngAcceptInputType_sortingDisabled: BooleanInput;
     static ngAcceptInputType_autoScrollDisabled: BooleanInput;
     static ngAcceptInputType_autoScrollStep: NumberInput;
+    static ngAcceptInputType_multiSelect: BooleanInput;
+    static ngAcceptInputType_nativeDropsEnabled: BooleanInput;
+    static ngAcceptInputType_autoUpdate: BooleanInput;
 }
@@ -0,0 +1,80 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { Directionality } from '@angular/cdk/bidi';
+import { BooleanInput, NumberInput } from '@angular/cdk/coercion';
+import { AfterViewInit, ChangeDetectorRef, ElementRef, EventEmitter, OnDestroy, QueryList } from '@angular/core';
+import { CdkResize, CdkResizeEnd, CdkResizeStart } from '../drag-events';
+import { DragDrop } from '../drag-drop';
+import { ResizeRef } from '../resize-ref';
+import { DragDropConfig } from './config';
+import { CdkResizeHandle } from './resize-handle';
+/**
+ * Element that can be resized by dragging one of its `cdkResizeHandle` elements. When it's
+ * placed on a header cell of a `CdkTable`, the width of the entire column changes along with it.
+ */
+export declare class CdkResizable<T = any> implements AfterViewInit, OnDestroy {
+    /** Element that is being resized. */
+    element: ElementRef<HTMLElement>;
+    private _changeDetectorRef;
+    private _dir?;
+    /** Emits when the element is destroyed. */
+    private _destroyed;
+    /** Reference to the underlying resize instance. */
+    _resizeRef: ResizeRef<CdkResizable<T>>;
+    /** Elements that can be used to resize the element. */
+    _handles: QueryList<CdkResizeHandle>;
+    /** Arbitrary data to attach to this resizable element. */
+    data: T;
+    /** Minimum width of the element, in pixels. */
+    minWidth: number;
+    /** Maximum width of the element, in pixels. */
+    maxWidth: number;
+    /** Minimum height of the element, in pixels. */
+    minHeight: number;
+    /** Maximum height of the element, in pixels. */
+    maxHeight: number;
+    /** Whether to preserve the ratio between the element's width and height while resizing. */
+    lockAspectRatio: boolean;
+    /**
+     * Node or selector that will be used to determine the element that the resizable element
+     * can't grow beyond. If a selector is passed in, it'll be used to find the closest ancestor
+     * that matches it.
+     */
+    boundaryElement: string | ElementRef<HTMLElement> | HTMLElement;
+    /** Amount of pixels by which to resize the element when the user presses an arrow key. */
+    keyboardStep: number;
+    /** Whether resizing the element is disabled. */
+    get disabled(): boolean;
+    set disabled(value: boolean);
+    /** Emits when the user starts resizing the element. */
+    started: EventEmitter<CdkResizeStart<T>>;
+    /** Emits as the user is resizing the element. */
+    resized: EventEmitter<CdkResize<T>>;
+    /** Emits when the user stops resizing the element. */
+    ended: EventEmitter<CdkResizeEnd<T>>;
+    constructor(
+    /** Element that is being resized. */
+    element: ElementRef<HTMLElement>, dragDrop: DragDrop, _changeDetectorRef: ChangeDetectorRef, _dir?: Directionality | undefined, config?: DragDropConfig, parentDrag?: any);
+    ngAfterViewInit(): void;
+    ngOnDestroy(): void;
+    /** Syncs the inputs of the CdkResizable with the options of the underlying ResizeRef. */
+    private _syncInputs;
+    /** Handles the events from the underlying ResizeRef. */
+    private _handleEvents;
+    /** Gets the handle directive that corresponds to an element. */
+    private _getHandle;
+    /** Gets the boundary element, based on the `boundaryElement` value. */
+    private _getBoundaryElement;
+    static ngAcceptInputType_minWidth: NumberInput;
+    static ngAcceptInputType_maxWidth: NumberInput;
+    static ngAcceptInputType_minHeight: NumberInput;
+    static ngAcceptInputType_maxHeight: NumberInput;
+    static ngAcceptInputType_lockAspectRatio: BooleanInput;
+    static ngAcceptInputType_keyboardStep: NumberInput;
+    static ngAcceptInputType_disabled: BooleanInput;
+}
@@ -0,0 +1,36 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { ElementRef, InjectionToken, OnDestroy } from '@angular/core';
+import { Subject } from 'rxjs';
+import { ResizeHandlePosition } from '../resize-ref';
+/**
+ * Injection token that can be used to reference instances of `CdkResizeHandle`. It serves as
+ * alternative token to the actual `CdkResizeHandle` class which could cause unnecessary
+ * retention of the class and its directive metadata.
+ */
+export declare const CDK_RESIZE_HANDLE: InjectionToken<CdkResizeHandle>;
+/**
+ * Handle that can be used to resize a `CdkResizable`. Can be focused and
+ * moved using the arrow keys in order to resize with the keyboard.
+ */
+export declare class CdkResizeHandle implements OnDestroy {
+    element: ElementRef<HTMLElement>;
+    /** Closest parent resizable instance. */
+    _parentResizable: {} | undefined;
+    /** Emits when the state of the handle has changed. */
+    _stateChanges: Subject<CdkResizeHandle>;
+    /**
+     * Position of the handle, relative to the element that it resizes. Determines
+     * along which axes the element is resized. Defaults to `bottom-end`.
+     */
+    get position(): ResizeHandlePosition;
+    set position(value: ResizeHandlePosition);
+    private _position;
+    constructor(element: ElementRef<HTMLElement>, parentResizable?: any);
+    ngOnDestroy(): void;
+}
@@ -0,0 +1,41 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/** Position of a same-origin frame's content, relative to the document that contains it. */
+interface FrameOffset {
+    x: number;
+    y: number;
+}
+/**
+ * Gets the offset of the frame that a node is rendered in, relative to a reference document.
+ * Used to translate coordinates from a same-origin frame into the coordinate space of the
+ * document that the drag&drop services are running in. The offset is zero if the node is
+ * inside the reference document or the frame can't be accessed.
+ * @param node Node whose frame offset should be determined.
+ * @param referenceDocument Document relative to which the offset should be calculated.
+ */
+export declare function getFrameOffset(node: Node, referenceDocument: Document): FrameOffset;
+/** Gets the document in which an event was dispatched. */
+export declare function getEventDocument(event: UIEvent): Document | null;
+/**
+ * Finds the top-most element at a specific point, taking shadow roots and same-origin
+ * frames into account. Unlike `elementFromPoint`, the result isn't retargeted to a
+ * shadow host or a frame element if the point is inside one of them.
+ * @param referenceDocument Document from which to start looking.
+ * @param x Position along the X axis, relative to the reference document's viewport.
+ * @param y Position along the Y axis, relative to the reference document's viewport.
+ */
+export declare function getDeepElementFromPoint(referenceDocument: Document, x: number, y: number): Element | null;
+/**
+ * Checks whether a node contains another node, including through shadow roots and frames.
+ * @param ancestor Node that may contain the other node.
+ * @param node Node that is being checked.
+ */
+export declare function deepContains(ancestor: Node, node: Node | null): boolean;
+/** Gets the closest ancestor of an element that matches a selector. */
+export declare function getClosestMatchingAncestor(element: HTMLElement, selector: string): HTMLElement | null;
+export {};
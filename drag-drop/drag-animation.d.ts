@@ -0,0 +1,43 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { DragRef, Point } from './drag-ref';
+/**
+ * Kinds of animations that are performed while dragging.
+ * - `sort` - a sibling is moved out of the way while the user is sorting a list.
+ * - `return` - the preview is moved to the position of the placeholder once the user drops.
+ * - `enter` - the placeholder is inserted into a new container.
+ */
+export declare type DragAnimationType = 'sort' | 'return' | 'enter';
+/** Describes an animation that is about to be performed on an element. */
+export interface DragAnimation {
+    /** Kind of animation. */
+    type: DragAnimationType;
+    /** Element that is being animated. */
+    element: HTMLElement;
+    /** Item that is being dragged. Null when the animation was caused by native data. */
+    item: DragRef | null;
+    /** Translation of the element, in pixels, at which the animation should start. */
+    from: Point;
+    /** Translation of the element, in pixels, at which the animation should end. */
+    to: Point;
+}
+/**
+ * Function that can be used to customize the animations performed while dragging, for example
+ * by calling `element.animate` from the Web Animations API. By the time the function is called,
+ * the element has been moved to its final position without a CSS transition so only the visual
+ * animation from `from` to `to` has to be performed. The returned promise should resolve once
+ * the animation is done. Returning nothing means that the element won't be animated, which can
+ * be used to disable the animations altogether.
+ */
+export declare type DragAnimationFn = (animation: DragAnimation) => Promise<unknown> | void;
+/**
+ * Runs a custom animation function, making sure that errors
+ * inside of it don't prevent the drag sequence from completing.
+ * @returns Promise that resolves when the animation completes.
+ */
+export declare function runDragAnimation(animationFn: DragAnimationFn, animation: DragAnimation): Promise<void>;
@@ -0,0 +1,104 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { ElementRef } from '@angular/core';
+import { Subject } from 'rxjs';
+import { DragRef, Point } from './drag-ref';
+/**
+ * Reference to a canvas inside of which drag items can be positioned freely. Builds on the
+ * free drag positioning of the `DragRef` by snapping items to a grid, aligning them with their
+ * siblings and optionally preventing them from overlapping. Positions are reported relative to
+ * the top left corner of the canvas' padding box, taking its scroll position into account.
+ * The canvas element should be positioned so that the alignment guides can be placed inside it.
+ */
+export declare class DragCanvasRef<T = any> {
+    private _document;
+    /** Element that the canvas is attached to. */
+    element: HTMLElement | ElementRef<HTMLElement>;
+    /** Arbitrary data that can be attached to the canvas. */
+    data: T;
+    /** Size of the grid, in pixels, to which items are snapped. Zero disables snapping. */
+    gridSize: number;
+    /**
+     * Distance, in pixels, at which an item is aligned with one of its siblings and an alignment
+     * guide is shown. Alignment takes precedence over grid snapping. Zero disables the guides.
+     */
+    guideThreshold: number;
+    /** Whether items are prevented from overlapping each other. */
+    preventOverlap: boolean;
+    /** Emits right before the user starts dragging an item inside the canvas. */
+    readonly beforeStarted: Subject<void>;
+    /** Emits when the user drops an item that is inside the canvas. */
+    readonly dropped: Subject<{
+        item: DragRef;
+        container: DragCanvasRef;
+        position: Point;
+        previousPosition: Point;
+    }>;
+    /** Items that are registered with the canvas, along with their event subscriptions. */
+    private _items;
+    /** State of the item that is currently being dragged. */
+    private _activeItem;
+    /** Origin of the item that is about to be dragged. Measured before it has moved. */
+    private _pendingOrigin;
+    /** Elements used to render the alignment guides. Reused between moves. */
+    private _guideElements;
+    constructor(element: ElementRef<HTMLElement> | HTMLElement, _document: Document);
+    /** Removes the canvas functionality from the DOM element. */
+    dispose(): void;
+    /** Whether an item inside the canvas is being dragged. */
+    isDragging(): boolean;
+    /**
+     * Registers an item with the canvas.
+     * @param item Item to be added.
+     */
+    addItem(item: DragRef): this;
+    /**
+     * Removes an item from the canvas.
+     * @param item Item to be removed.
+     */
+    removeItem(item: DragRef): this;
+    /**
+     * Gets the position of an item relative to the canvas.
+     * @param item Item whose position should be determined.
+     */
+    getItemPosition(item: DragRef): Point;
+    /**
+     * Moves an item to a specific position inside the canvas.
+     * @param item Item to be moved.
+     * @param position Position, relative to the canvas, to which to move the item.
+     */
+    setItemPosition(item: DragRef, position: Point): this;
+    /** Measures the origin of an item before the user has started moving it. */
+    private _measureItemOrigin;
+    /** Caches the state of the canvas when the user starts dragging one of its items. */
+    private _itemStarted;
+    /** Emits the final position of an item once the user has dropped it. */
+    private _itemEnded;
+    /**
+     * Function that is assigned to the `constrainFreeDragPosition` of the canvas' items.
+     * Aligns, snaps and contains the proposed position of the item that is being dragged.
+     */
+    private _constrainPosition;
+    /**
+     * Resolves collisions between the item that is being dragged and its siblings. If the
+     * proposed position overlaps with a sibling, the item is allowed to slide along the axis
+     * that is still free, otherwise it stays at its last valid position.
+     */
+    private _resolveCollisions;
+    /** Renders the alignment guides inside the canvas. */
+    private _renderGuides;
+    /** Removes all of the alignment guides from the DOM. */
+    private _removeGuides;
+    /**
+     * Gets the position that an item would have inside the canvas if its free drag position was
+     * zero. Has to be measured while the item isn't being dragged.
+     */
+    private _getItemOrigin;
+    /** Gets the dimensions of an item, relative to the canvas' scrollable area. */
+    private _getRectInCanvas;
+}
@@ -0,0 +1,83 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { OnDestroy } from '@angular/core';
+import { Subject } from 'rxjs';
+import { CdkDragDrop } from './drag-events';
+/**
+ * Possible kinds of drag&drop operations.
+ * - `move` - the items were moved within the same array.
+ * - `transfer` - the items were moved from one array to another.
+ * - `copy` - the items were copied from one array to another.
+ */
+export declare type DragDropOperationType = 'move' | 'transfer' | 'copy';
+/** Reversible record of the outcome of a drag&drop interaction. */
+export interface DragDropOperation<T = any> {
+    /** Kind of operation. */
+    type: DragDropOperationType;
+    /** Items that were moved or copied. */
+    items: T[];
+    /** Array from which the items were taken. */
+    previousArray: T[];
+    /** Array into which the items were placed. Same as `previousArray` for `move` operations. */
+    currentArray: T[];
+    /** Indices, in ascending order, at which the items were in the previous array. */
+    previousIndices: number[];
+    /** Index of the first of the items in the current array. */
+    currentIndex: number;
+}
+/** Event that is emitted when the drag&drop history has changed. */
+export interface DragDropHistoryChange<T = any> {
+    /** Action that caused the change. */
+    action: 'apply' | 'undo' | 'redo';
+    /** Operation that was applied, undone or redone. */
+    operation: DragDropOperation<T>;
+}
+/**
+ * Service that applies the outcome of drag&drop interactions to the data of the drop lists and
+ * keeps track of them so they can be undone and redone. The service is shared across the app by
+ * default, but it can be provided on a component in order to keep a separate history for it.
+ */
+export declare class DragDropHistory implements OnDestroy {
+    /** Operations that can be undone, from oldest to newest. */
+    private _undoStack;
+    /** Operations that can be redone, from oldest to newest. */
+    private _redoStack;
+    /** Maximum number of operations that are kept in the history. */
+    maxSize: number;
+    /** Emits when an operation is applied, undone or redone. */
+    readonly changes: Subject<DragDropHistoryChange<any>>;
+    ngOnDestroy(): void;
+    /**
+     * Applies the outcome of a drop to the data of the drop lists involved and records it in the
+     * history. Expects the `data` of the drop lists to be the arrays that they're rendering.
+     * @param event Event emitted when the user dropped the item.
+     * @param type Kind of operation to perform. Defaults to `copy` if the drop effect was `copy`,
+     *   to `move` if the item was dropped in the same list that it was picked up from and to
+     *   `transfer` otherwise.
+     * @returns Operation that was applied.
+     */
+    apply<T = any>(event: CdkDragDrop<T[], T[]>, type?: DragDropOperationType): DragDropOperation<T>;
+    /**
+     * Reverts the most recent operation. The history is cleared if the arrays have been changed
+     * since the operation was applied in a way that doesn't allow it to be reverted safely.
+     * @returns Operation that was undone, or null if there was nothing to undo.
+     */
+    undo(): DragDropOperation | null;
+    /**
+     * Re-applies the most recently undone operation. The history is cleared if the arrays have been
+     * changed since the operation was undone in a way that doesn't allow it to be applied safely.
+     * @returns Operation that was redone, or null if there was nothing to redo.
+     */
+    redo(): DragDropOperation | null;
+    /** Whether there are any operations that can be undone. */
+    canUndo(): boolean;
+    /** Whether there are any operations that can be redone. */
+    canRedo(): boolean;
+    /** Removes all of the operations from the history. */
+    clear(): void;
+}
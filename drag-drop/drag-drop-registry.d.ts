@@ -9,7 +9,8 @@ import { NgZone, OnDestroy } from '@angular/core';
 import { Subject } from 'rxjs';
 /**
  * Service that keeps track of all the drag item and drop container
- * instances, and manages global event listeners on the `document`.
+ * instances, and manages global event listeners on the `document`, as well as
+ * on the documents of any same-origin frames that contain items or containers.
  * @docs-private
  */
 export declare class DragDropRegistry<I extends {
@@ -23,6 +24,11 @@ export declare class DragDropRegistry<I extends {
     private _dragInstances;
     /** Drag item instances that are currently being dragged. */
     private _activeDragInstances;
+    /**
+     * Documents, other than the main one, that contain drag items or drop containers, as well as
+     * the number of items and containers that have registered each of them.
+     */
+    private _frameDocuments;
     /** Keeps track of the event listeners that we've bound to the `document`. */
     private _globalListeners;
     /**
@@ -47,6 +53,19 @@ export declare class DragDropRegistry<I extends {
     registerDropContainer(drop: C): void;
     /** Adds a drag item instance to the registry. */
     registerDragItem(drag: I): void;
+    /**
+     * Registers a document, other than the main one, that contains drag items or drop containers.
+     * The global event listeners are bound to all the registered documents so that items
+     * can be dragged between same-origin frames.
+     * @param document Document to be registered.
+     */
+    registerDocument(document: Document): void;
+    /**
+     * Removes a document that was added through `registerDocument`. The document's listeners
+     * are removed once all of the items and containers that registered it have removed it.
+     * @param document Document to be removed.
+     */
+    removeDocument(document: Document): void;
     /** Removes a drop container from the registry. */
     removeDropContainer(drop: C): void;
     /** Removes a drag item instance from the registry. */
@@ -56,7 +75,7 @@ export declare class DragDropRegistry<I extends {
      * @param drag Drag instance which is being dragged.
      * @param event Event that initiated the dragging.
      */
-    startDragging(drag: I, event: TouchEvent | MouseEvent): void;
+    startDragging(drag: I, event: TouchEvent | MouseEvent | KeyboardEvent): void;
     /** Stops dragging a drag item instance. */
     stopDragging(drag: I): void;
     /** Gets whether a drag item instance is currently being dragged. */
@@ -71,4 +90,10 @@ export declare class DragDropRegistry<I extends {
     private _persistentTouchmoveListener;
     /** Clears out the global event listeners from the `document`. */
     private _clearGlobalListeners;
+    /** Binds the persistent `touchmove` listener to a document. */
+    private _addTouchmoveListener;
+    /** Removes the persistent `touchmove` listener from a document. */
+    private _removeTouchmoveListener;
+    /** Gets all of the documents to which the global listeners should be bound. */
+    private _getDocuments;
 }
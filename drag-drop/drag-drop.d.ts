@@ -9,6 +9,8 @@ import { NgZone, ElementRef } from '@angular/core';
 import { ViewportRuler } from '@angular/cdk/scrolling';
 import { DragRef, DragRefConfig } from './drag-ref';
 import { DropListRef } from './drop-list-ref';
+import { DragCanvasRef } from './drag-canvas-ref';
+import { ResizeRef } from './resize-ref';
 import { DragDropRegistry } from './drag-drop-registry';
 /**
  * Service that allows for drag-and-drop functionality to be attached to DOM elements.
@@ -30,4 +32,15 @@ export declare class DragDrop {
      * @param element Element to which to attach the drop list functionality.
      */
     createDropList<T = any>(element: ElementRef<HTMLElement> | HTMLElement): DropListRef<T>;
+    /**
+     * Turns an element into a canvas inside of which drag items can be positioned freely.
+     * @param element Element to which to attach the canvas functionality.
+     */
+    createDragCanvas<T = any>(element: ElementRef<HTMLElement> | HTMLElement): DragCanvasRef<T>;
+    /**
+     * Turns an element into one that can be resized by dragging its handles.
+     * @param element Element to which to attach the resizing functionality.
+     * @param config Object used to configure the dragging behavior of the handles.
+     */
+    createResizable<T = any>(element: ElementRef<HTMLElement> | HTMLElement, config?: DragRefConfig): ResizeRef<T>;
 }
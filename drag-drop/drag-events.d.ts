@@ -7,6 +7,12 @@
  */
 import { CdkDrag } from './directives/drag';
 import { CdkDropList } from './directives/drop-list';
+import { CdkDragCanvas } from './directives/drag-canvas';
+import { CdkResizable } from './directives/resizable';
+import { CdkResizeHandle } from './directives/resize-handle';
+import { DragKeyboardAction } from './drag-ref';
+import { DragAnimationType } from './drag-animation';
+import { DropEffect } from './drop-effect';
 /** Event emitted when the user starts dragging a draggable. */
 export interface CdkDragStart<T = any> {
     /** Draggable that emitted the event. */
@@ -54,6 +60,13 @@ export interface CdkDragDrop<T, O = T> {
     currentIndex: number;
     /** Item that is being dropped. */
     item: CdkDrag;
+    /**
+     * All of the items that are being dropped, sorted by their index in the previous container.
+     * Contains more than one item if multiple selected items were dragged together.
+     */
+    items?: CdkDrag[];
+    /** Indices, in ascending order, of all of the items that are being dropped when picked up. */
+    previousIndices?: number[];
     /** Container in which the item was dropped. */
     container: CdkDropList<T>;
     /** Container from which the item was picked up. Can be the same as the `container`. */
@@ -65,6 +78,11 @@ export interface CdkDragDrop<T, O = T> {
         x: number;
         y: number;
     };
+    /**
+     * Effect of the drop, based on the `acceptRules` of the container. Always `move`
+     * if the item was dropped into the same container that it was picked up from.
+     */
+    dropEffect?: DropEffect;
 }
 /** Event emitted as the user is dragging a draggable item. */
 export interface CdkDragMove<T = any> {
@@ -92,6 +110,12 @@ export interface CdkDragMove<T = any> {
         x: -1 | 0 | 1;
         y: -1 | 0 | 1;
     };
+    /**
+     * How deeply the drop container that the item is currently in is nested inside the other
+     * connected containers. Top-level containers are at level zero. Useful for indenting the
+     * placeholder when reordering outlines or trees built out of nested drop lists.
+     */
+    level?: number;
 }
 /** Event emitted when the user swaps the position of two drag items. */
 export interface CdkDragSortEvent<T = any, I = T> {
@@ -104,3 +128,155 @@ export interface CdkDragSortEvent<T = any, I = T> {
     /** Item that is being sorted. */
     item: CdkDrag<I>;
 }
+/** Event emitted when the user performs an action while dragging an item using the keyboard. */
+export interface CdkDragKeyboardAction<T = any> {
+    /** Item that is being dragged. */
+    source: CdkDrag<T>;
+    /** Action that was performed. */
+    action: DragKeyboardAction;
+    /** Container that the item is currently in. */
+    container: CdkDropList;
+    /** Index of the item within its current container. */
+    currentIndex: number;
+}
+/** Event emitted when the items that are selected in a drop container change. */
+export interface CdkDropListSelectionChange<T = any, I = T> {
+    /** Container whose selection has changed. */
+    container: CdkDropList<T>;
+    /** Items that are currently selected, in the order in which they appear in the container. */
+    items: CdkDrag<I>[];
+}
+/** Event emitted when native data, like files or text, is dragged into a drop container. */
+export interface CdkDropListNativeEnter<T = any> {
+    /** Container into which the data was dragged. */
+    container: CdkDropList<T>;
+    /** Index at which the data would be inserted. */
+    currentIndex: number;
+    /** Native event that caused the data to enter the container. */
+    event: DragEvent;
+}
+/** Event emitted when native data is dragged out of a drop container without being dropped. */
+export interface CdkDropListNativeExit<T = any> {
+    /** Container from which the data was dragged out. */
+    container: CdkDropList<T>;
+    /** Native event that caused the data to leave the container. */
+    event: DragEvent;
+}
+/** Event emitted when the index at which native data would be inserted changes. */
+export interface CdkDropListNativeSortEvent<T = any> {
+    /** Container over which the data is being dragged. */
+    container: CdkDropList<T>;
+    /** Index at which the data would have been inserted previously. */
+    previousIndex: number;
+    /** Index at which the data would be inserted now. */
+    currentIndex: number;
+    /** Native event that caused the index to change. */
+    event: DragEvent;
+}
+/** Event emitted when native data is dropped into a drop container. */
+export interface CdkDropListNativeDrop<T = any> {
+    /** Container into which the data was dropped. */
+    container: CdkDropList<T>;
+    /** Index at which the data should be inserted. */
+    currentIndex: number;
+    /** Data that was dropped. Can be used to read text, URLs or any other formats. */
+    dataTransfer: DataTransfer;
+    /** Files that were dropped, if any. */
+    files: File[];
+    /** Native `drop` event. */
+    event: DragEvent;
+}
+/** Event emitted when the user starts dragging an item out as native data. */
+export interface CdkDragNativeStart<T = any> {
+    /** Draggable that emitted the event. */
+    source: CdkDrag<T>;
+    /** Native `dragstart` event. */
+    event: DragEvent;
+}
+/** Event emitted when a native drag sequence of an item has ended. */
+export interface CdkDragNativeEnd<T = any> {
+    /** Draggable that emitted the event. */
+    source: CdkDrag<T>;
+    /**
+     * Effect that was picked by the drop target, e.g. `copy` or `move`.
+     * `none` if the data wasn't dropped anywhere.
+     */
+    dropEffect: string;
+    /** Native `dragend` event. */
+    event: DragEvent;
+}
+/** Event emitted when the effect of dropping a draggable at its current position changes. */
+export interface CdkDragDropEffectChange<T = any> {
+    /** Draggable that emitted the event. */
+    source: CdkDrag<T>;
+    /** Container whose rules determined the effect. */
+    container: CdkDropList;
+    /** New drop effect. `none` if the container refuses the item. */
+    effect: DropEffect;
+}
+/** Event emitted when an animation of a draggable's preview or placeholder is done. */
+export interface CdkDragAnimationDone<T = any> {
+    /** Draggable that emitted the event. */
+    source: CdkDrag<T>;
+    /** Kind of animation that is done. */
+    type: DragAnimationType;
+    /** Element that was animated. */
+    element: HTMLElement;
+}
+/** Event emitted when an item is done animating to its new position while sorting a list. */
+export interface CdkDropListAnimationDone<T = any, I = any> {
+    /** Container that emitted the event. */
+    container: CdkDropList<T>;
+    /** Item that is being dragged. Null if the animation was caused by native data. */
+    item: CdkDrag<I> | null;
+    /** Kind of animation that is done. */
+    type: DragAnimationType;
+    /** Element that was animated. */
+    element: HTMLElement;
+}
+/** Event emitted when the user drops an item inside a canvas. */
+export interface CdkDragCanvasDrop<T = any, I = any> {
+    /** Canvas in which the item was dropped. */
+    container: CdkDragCanvas<T>;
+    /** Item that was dropped. */
+    item: CdkDrag<I>;
+    /** Position of the item, relative to the canvas, after it was dropped. */
+    position: {
+        x: number;
+        y: number;
+    };
+    /** Position of the item, relative to the canvas, when the user started dragging it. */
+    previousPosition: {
+        x: number;
+        y: number;
+    };
+}
+/** Event emitted when the user starts resizing an element. */
+export interface CdkResizeStart<T = any> {
+    /** Resizable element that emitted the event. */
+    source: CdkResizable<T>;
+    /** Handle through which the user is resizing the element. */
+    handle: CdkResizeHandle;
+}
+/** Event emitted as the user is resizing an element. */
+export interface CdkResize<T = any> {
+    /** Resizable element that emitted the event. */
+    source: CdkResizable<T>;
+    /** Handle through which the user is resizing the element. */
+    handle: CdkResizeHandle;
+    /** New width of the element, in pixels. */
+    width: number;
+    /** New height of the element, in pixels. */
+    height: number;
+}
+/** Event emitted when the user stops resizing an element. */
+export interface CdkResizeEnd<T = any> {
+    /** Resizable element that emitted the event. */
+    source: CdkResizable<T>;
+    /** Handle through which the user was resizing the element. */
+    handle: CdkResizeHandle;
+    /** Final width of the element, in pixels. */
+    width: number;
+    /** Final height of the element, in pixels. */
+    height: number;
+}
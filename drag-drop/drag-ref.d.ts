@@ -11,6 +11,8 @@ import { Direction } from '@angular/cdk/bidi';
 import { Subject, Observable } from 'rxjs';
 import { DropListRefInternal as DropListRef } from './drop-list-ref';
 import { DragDropRegistry } from './drag-drop-registry';
+import { DragAnimationFn, DragAnimationType } from './drag-animation';
+import { DropEffect } from './drop-effect';
 /** Object that can be used to configure the behavior of DragRef. */
 export interface DragRefConfig {
     /**
@@ -45,6 +47,10 @@ interface DragHelperTemplate<T = any> {
 interface DragPreviewTemplate<T = any> extends DragHelperTemplate<T> {
     matchSize?: boolean;
 }
+/** Directions in which an item can be moved using the arrow keys. */
+export declare type DragKeyboardDirection = 'up' | 'down' | 'left' | 'right';
+/** Actions that the user can perform while dragging an item using the keyboard. */
+export declare type DragKeyboardAction = 'started' | 'moved' | 'dropped' | 'cancelled';
 /** Point on the page or within an element. */
 export interface Point {
     x: number;
@@ -113,6 +119,22 @@ export declare class DragRef<T = any> {
     private _initialContainer;
     /** Index at which the item started in its initial container. */
     private _initialIndex;
+    /**
+     * Indices, in ascending order, at which all of the items that are being dragged together
+     * started in their initial container. Only contains `_initialIndex` for a single item.
+     */
+    private _initialIndices;
+    /**
+     * All of the items that are being dragged, including the current one, when multiple
+     * selected items are being dragged together. Sorted by their index in the initial container.
+     */
+    private _multiDragItems;
+    /**
+     * Item whose drag sequence the current item is a part of, if the current item has
+     * been selected together with the item that the user is dragging.
+     * @docs-private
+     */
+    _multiDragSource: DragRef | null;
     /** Cached positions of scrollable parent elements. */
     private _parentPositions;
     /** Emits when the item is being moved. */
@@ -137,6 +159,8 @@ export declare class DragRef<T = any> {
      * dragging was started. Used to restore the value once we're done dragging.
      */
     private _rootElementTapHighlight;
+    /** Effect of dropping the item at the current pointer position. */
+    private _dropEffect;
     /** Subscription to pointer movement events. */
     private _pointerMoveSubscription;
     /** Subscription to the event that is dispatched when the user lifts their pointer. */
@@ -181,6 +205,26 @@ export declare class DragRef<T = any> {
      * `_getShadowRoot`, not directly.
      */
     private _cachedShadowRoot;
+    /** Data that is exposed to native drop targets, if the item can be dragged out as native data. */
+    private _nativeDragData;
+    /** Whether the `draggable` attribute of the root element was set by the drag ref. */
+    private _hasSetNativeDraggable;
+    /** Document that the root element is in, if it was registered because it's inside a frame. */
+    private _registeredDocument;
+    /** Whether the current drag sequence was started using the keyboard. */
+    private _isKeyboardDragging;
+    /** Element that had focus when a keyboard drag sequence was started. */
+    private _keyboardDragOrigin;
+    /** Sort index at which the item was picked up using the keyboard. Used when cancelling. */
+    private _keyboardInitialSortIndex;
+    /** Scrollable parents of the item. Taken into account while it's dragged outside a list. */
+    private _scrollableParents;
+    /** Node that is being auto-scrolled while the item is dragged outside of a drop list. */
+    private _autoScrollNode;
+    /** Velocity, in pixels per frame, at which the `_autoScrollNode` is being scrolled. */
+    private _autoScrollVelocity;
+    /** Used to signal to the current auto-scroll sequence when to stop. */
+    private _stopAutoScrollTimers;
     /** Axis along which dragging is locked. */
     lockAxis: 'x' | 'y';
     /**
@@ -193,6 +237,35 @@ export declare class DragRef<T = any> {
     };
     /** Class to be added to the preview element. */
     previewClass: string | string[] | undefined;
+    /**
+     * Whether to auto-scroll the viewport and the item's scrollable parents when the user moves
+     * their pointer close to the edges while the item is being dragged outside of a drop list.
+     * Items inside of a drop list are auto-scrolled based on the list's settings. Disabled by
+     * default, in order to avoid scrolling the page unexpectedly while a free item is dragged.
+     */
+    autoScrollDisabled: boolean;
+    /**
+     * Distance, in pixels, from the edges of the viewport or a scrollable parent at which to
+     * start auto-scrolling while the item is being dragged outside of a drop list.
+     */
+    autoScrollThreshold: number;
+    /**
+     * Function that determines how fast to auto-scroll, in pixels per frame, while the item is
+     * being dragged outside of a drop list. Gets called with a value between 0 and 1 describing how
+     * close the pointer is to the edge, 1 being at the edge itself.
+     */
+    autoScrollSpeed: (proximity: number) => number;
+    /**
+     * Function used to animate the preview back to the placeholder once the item is dropped and
+     * to animate the placeholder when it enters a new container. The preview is animated using a
+     * CSS transition if no function is set, whereas the placeholder isn't animated.
+     */
+    animationFn: DragAnimationFn | null;
+    /**
+     * Whether the item can be picked up and moved around its drop container using the keyboard.
+     * Disabled by default, because the item or one of its handles has to be focusable.
+     */
+    keyboardDraggingEnabled: boolean;
     /** Whether starting to drag this element is disabled. */
     get disabled(): boolean;
     set disabled(value: boolean);
@@ -223,15 +296,54 @@ export declare class DragRef<T = any> {
         container: DropListRef;
         item: DragRef;
     }>;
+    /** Emits when the user performs an action while dragging the item using the keyboard. */
+    keyboardAction: Subject<{
+        source: DragRef;
+        action: DragKeyboardAction;
+        container: DropListRef;
+        currentIndex: number;
+    }>;
+    /** Emits when the user starts dragging the item out as native data. */
+    nativeDragStarted: Subject<{
+        source: DragRef;
+        event: DragEvent;
+    }>;
+    /**
+     * Emits when a native drag sequence of the item has ended. The `dropEffect` is `none` if the
+     * data wasn't dropped anywhere, otherwise it's the effect that was picked by the drop target.
+     */
+    nativeDragEnded: Subject<{
+        source: DragRef;
+        dropEffect: string;
+        event: DragEvent;
+    }>;
+    /**
+     * Emits when the effect of dropping the item changes, e.g. because the user moved their
+     * pointer over a list that only accepts copies of the item or that refuses it altogether.
+     */
+    dropEffectChanged: Subject<{
+        source: DragRef;
+        container: DropListRef;
+        effect: DropEffect;
+    }>;
+    /** Emits when an animation of the preview or the placeholder is done. */
+    animationDone: Subject<{
+        source: DragRef;
+        type: DragAnimationType;
+        element: HTMLElement;
+    }>;
     /** Emits when the user drops the item inside a container. */
     dropped: Subject<{
         previousIndex: number;
         currentIndex: number;
         item: DragRef;
+        items: DragRef[];
+        previousIndices: number[];
         container: DropListRef;
         previousContainer: DropListRef;
         distance: Point;
         isPointerOverContainer: boolean;
+        dropEffect: DropEffect;
     }>;
     /**
      * Emits as the user is dragging the item. Use with caution,
@@ -249,9 +361,12 @@ export declare class DragRef<T = any> {
             x: -1 | 0 | 1;
             y: -1 | 0 | 1;
         };
+        level: number;
     }>;
     /** Arbitrary data that can be attached to the drag item. */
     data: T;
+    /** Kinds of data that the item represents. Used to match the `acceptRules` of drop lists. */
+    kinds: string[];
     /**
      * Function that can be used to customize the logic of how the position of the drag item
      * is limited while it's being dragged. Gets called with a point containing the current position
@@ -259,6 +374,13 @@ export declare class DragRef<T = any> {
      * be rendered.
      */
     constrainPosition?: (point: Point, dragRef: DragRef) => Point;
+    /**
+     * Function that can be used to adjust the position of the item while it's being dragged
+     * outside of a drop container. Gets called with the proposed free drag position, after the
+     * pointer position has been constrained, and should return the position that should be applied.
+     * Useful for snapping the item to a grid or aligning it with other elements.
+     */
+    constrainFreeDragPosition?: (position: Point, dragRef: DragRef) => Point;
     constructor(element: ElementRef<HTMLElement> | HTMLElement, _config: DragRefConfig, _document: Document, _ngZone: NgZone, _viewportRuler: ViewportRuler, _dragDropRegistry: DragDropRegistry<DragRef, DropListRef>);
     /**
      * Returns the element that is being used as a placeholder
@@ -272,6 +394,8 @@ export declare class DragRef<T = any> {
      * While dragging this is the placeholder, otherwise it's the root element.
      */
     getVisibleElement(): HTMLElement;
+    /** Whether the item is part of the selection of its drop container. */
+    isSelected(): boolean;
     /** Registers the handles that can be used to drag the element. */
     withHandles(handles: (HTMLElement | ElementRef<HTMLElement>)[]): this;
     /**
@@ -298,6 +422,8 @@ export declare class DragRef<T = any> {
     withParent(parent: DragRef<unknown> | null): this;
     /** Removes the dragging functionality from the DOM element. */
     dispose(): void;
+    /** Whether the item is currently being dragged using the keyboard. */
+    isKeyboardDragging(): boolean;
     /** Checks whether the element is currently being dragged. */
     isDragging(): boolean;
     /** Resets a standalone drag item to its initial position. */
@@ -314,6 +440,14 @@ export declare class DragRef<T = any> {
     enableHandle(handle: HTMLElement): void;
     /** Sets the layout direction of the draggable item. */
     withDirection(direction: Direction): this;
+    /**
+     * Sets the scrollable parents of the item. They'll be auto-scrolled when the user moves
+     * their pointer close to their edges while the item is being dragged outside of a drop list.
+     * @param elements Elements that can be scrolled, ordered from the innermost to the outermost.
+     */
+    withScrollableParents(elements: HTMLElement[]): this;
+    /** Gets the scrollable parents that are registered with the item. */
+    getScrollableParents(): ReadonlyArray<HTMLElement>;
     /** Sets the container that the item is part of. */
     _withDropContainer(container: DropListRef): void;
     /**
@@ -330,16 +464,58 @@ export declare class DragRef<T = any> {
      * @param value Container into which to insert the preview.
      */
     withPreviewContainer(value: PreviewContainer): this;
+    /**
+     * Allows the item to be dragged out as native data, e.g. into a different browser tab, another
+     * application or a drop list that accepts native drops. While native data is set, the item is
+     * dragged by the browser's own drag&drop, rather than by the CDK, and its handles are ignored.
+     * @param data Data to be exposed to the drop targets, keyed by its format (e.g. `text/plain`).
+     *     Pass in `null` to go back to dragging the item using the CDK.
+     */
+    withNativeDragData(data: {
+        [format: string]: string;
+    } | null): this;
     /** Updates the item's sort order based on the last-known pointer position. */
     _sortFromLastPointerPosition(): void;
+    /**
+     * Moves the item out of its container while it's being dragged together with another item.
+     * @param source Item that the user is dragging.
+     * @docs-private
+     */
+    _detachForMultiDrag(source: DragRef): void;
+    /**
+     * Restores the item to its position in the DOM after it was dragged together with another item.
+     * @docs-private
+     */
+    _restoreAfterMultiDrag(): void;
     /** Unsubscribes from the global subscriptions. */
     private _removeSubscriptions;
+    /**
+     * Starts auto-scrolling the closest scrollable parent or the viewport if the user's pointer
+     * is close to their edges, while the item is being dragged outside of a drop list.
+     * @param pointerX User's pointer position along the x axis.
+     * @param pointerY User's pointer position along the y axis.
+     */
+    private _startAutoScrollIfNecessary;
+    /** Starts the interval that'll auto-scroll the `_autoScrollNode`. */
+    private _startAutoScrollInterval;
+    /** Stops auto-scrolling while the item is being dragged outside of a drop list. */
+    private _stopAutoScrolling;
     /** Destroys the preview element and its ViewRef. */
     private _destroyPreview;
     /** Destroys the placeholder element and its ViewRef. */
     private _destroyPlaceholder;
     /** Handler for the `mousedown`/`touchstart` events. */
     private _pointerDown;
+    /** Handler for the `dragstart` event. Exposes the item's data to native drop targets. */
+    private _nativeDragStart;
+    /** Handler for the `dragend` event of a native drag sequence. */
+    private _nativeDragEnd;
+    /** Handler for the `click` event. Used to update the selection of the drop container. */
+    private _click;
+    /** Handler for `keydown` events on the root element. Starts a keyboard drag sequence. */
+    private _keydown;
+    /** Handler for `keydown` events on the document while dragging using the keyboard. */
+    private _keyboardDragKeydown;
     /** Handler that is invoked when the user moves their pointer after they've initiated a drag. */
     private _pointerMove;
     /** Handler that is invoked when the user lifts their pointer up, after initiating a drag. */
@@ -358,23 +534,78 @@ export declare class DragRef<T = any> {
      * @param event Browser event object that started the sequence.
      */
     private _initializeDragSequence;
-    /** Cleans up the DOM artifacts that were added to facilitate the element being dragged. */
+    /**
+     * Cleans up the DOM artifacts that were added to facilitate the element being dragged.
+     * @param pointerPosition Position of the pointer at the time the item was dropped.
+     */
     private _cleanupDragArtifacts;
     /**
      * Updates the item's position in its drop container, or moves it
      * into a new one, depending on its current drag position.
      */
     private _updateActiveDropContainer;
+    /**
+     * Updates the effect of dropping the item, based on the container that the user is over.
+     * @param container Container whose effect should be applied.
+     */
+    private _updateDropEffect;
+    /** Restores the cursor that was changed while showing the drop effect feedback. */
+    private _resetDropEffect;
+    /**
+     * Moves the item from its current container into a different one.
+     * @param newContainer Container into which to move the item.
+     * @param x Position of the item along the X axis.
+     * @param y Position of the item along the Y axis.
+     * @param index Index at which to insert the item. Determined from the position if omitted.
+     */
+    private _moveToContainer;
+    /**
+     * Whether a keyboard drag sequence can be started from an element. If the item has handles,
+     * the sequence has to start from one of them, otherwise it has to start from the root element.
+     */
+    private _isKeyboardDragTarget;
+    /** Starts dragging the item using the keyboard. */
+    private _startKeyboardDragSequence;
+    /**
+     * Moves the item in the specified direction while dragging using the keyboard. The item is
+     * moved to the next position within its container or into a connected container once it
+     * can't be moved any further.
+     */
+    private _moveWithKeyboard;
+    /**
+     * Ends a drag sequence that was started using the keyboard.
+     * @param cancel Whether the item should be returned to its initial position.
+     */
+    private _endKeyboardDragSequence;
+    /** Moves the preview and the reference position to where the placeholder is rendered. */
+    private _syncKeyboardDragPosition;
+    /**
+     * Emits a keyboard action through the `keyboardAction` stream.
+     * @param action Action that should be emitted.
+     * @param container Container that the item is in. Defaults to the current drop container.
+     * @param currentIndex Index of the item in the container. Measured if omitted.
+     */
+    private _emitKeyboardAction;
     /**
      * Creates the element that will be rendered next to the user's pointer
      * and will be used as a preview of the element that is being dragged.
      */
     private _createPreviewElement;
+    /**
+     * Adds copies of the rest of the items that are being dragged to the preview
+     * element. The copies are stacked behind the preview with a small offset.
+     */
+    private _addMultiDragItemsToPreview;
     /**
      * Animates the preview element from its current position to the location of the drop placeholder.
      * @returns Promise that resolves when the animation completes.
      */
     private _animatePreviewToPlaceholder;
+    /**
+     * Hands off an animation of the preview or the placeholder to the `animationFn`.
+     * @returns Promise that resolves when the animation completes.
+     */
+    private _runAnimation;
     /** Creates an element that will be shown instead of the current element while dragging. */
     private _createPlaceholderElement;
     /**
@@ -383,6 +614,8 @@ export declare class DragRef<T = any> {
      * @param event Event that initiated the dragging.
      */
     private _getPointerPositionInElement;
+    /** Whether an event was dispatched inside a frame, rather than the main document. */
+    private _isEventFromFrame;
     /** Determines the point of the page that was touched by the user. */
     private _getPointerPositionOnPage;
     /** Gets the pointer position on the page, accounting for any position constraints. */
@@ -393,6 +626,8 @@ export declare class DragRef<T = any> {
     private _toggleNativeDragInteractions;
     /** Removes the manually-added event listeners from the root element. */
     private _removeRootElementListeners;
+    /** Syncs the `draggable` attribute of the root element with the native drag data. */
+    private _syncNativeDraggable;
     /**
      * Applies a `transform` to the root element, taking into account any existing transforms on it.
      * @param x New transform value along the X axis.
@@ -424,6 +659,13 @@ export declare class DragRef<T = any> {
      * constructor might be too early if the element is inside of something like `ngFor` or `ngIf`.
      */
     private _getShadowRoot;
+    /** Gets the document that the root element is in. */
+    private _getRootDocument;
+    /**
+     * Registers the document that the root element is in with the drag&drop registry, if it's
+     * different from the main one, so that the item can be dragged out of a frame.
+     */
+    private _registerRootDocument;
     /** Gets the element into which the drag preview should be inserted. */
     private _getPreviewInsertionPoint;
 }
@@ -30,3 +30,30 @@ export declare function transferArrayItem<T = any>(currentArray: T[], targetArra
  *
  */
 export declare function copyArrayItem<T = any>(currentArray: T[], targetArray: T[], currentIndex: number, targetIndex: number): void;
+/**
+ * Moves multiple items in an array to another index. The items keep their relative order
+ * and end up next to each other, starting at the target index.
+ * @param array Array in which to move the items.
+ * @param fromIndices Starting indices of the items.
+ * @param toIndex Index at which the first of the items should be placed, after the items
+ *   have been removed from their starting indices.
+ */
+export declare function moveItemsInArray<T = any>(array: T[], fromIndices: number[], toIndex: number): void;
+/**
+ * Moves multiple items from one array to another. The items keep their relative
+ * order and end up next to each other, starting at the target index.
+ * @param currentArray Array from which to transfer the items.
+ * @param targetArray Array into which to put the items.
+ * @param currentIndices Indices of the items in their current array.
+ * @param targetIndex Index at which to insert the items.
+ */
+export declare function transferArrayItems<T = any>(currentArray: T[], targetArray: T[], currentIndices: number[], targetIndex: number): void;
+/**
+ * Copies multiple items from one array to another, leaving them in their original positions
+ * in the current array. The copied items keep their relative order in the target array.
+ * @param currentArray Array from which to copy the items.
+ * @param targetArray Array into which is copy the items.
+ * @param currentIndices Indices of the items in their current array.
+ * @param targetIndex Index at which to insert the items.
+ */
+export declare function copyArrayItems<T = any>(currentArray: T[], targetArray: T[], currentIndices: number[], targetIndex: number): void;
@@ -0,0 +1,36 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * Possible effects of dropping an item into a drop list.
+ * - `move` - the item is moved into the list.
+ * - `copy` - a copy of the item is inserted into the list.
+ * - `link` - a reference to the item is inserted into the list.
+ * - `none` - the list refuses the item.
+ */
+export declare type DropEffect = 'move' | 'copy' | 'link' | 'none';
+/** Rule that determines whether, and how, a drop list accepts items of particular kinds. */
+export interface DropListAcceptRule {
+    /** Kinds of items to which the rule applies. `*` matches all items, even ones without a kind. */
+    kinds: string | string[];
+    /** Effect of dropping a matching item into the list. Defaults to `move`. */
+    effect?: DropEffect;
+}
+/**
+ * Cursors that are shown for each of the drop effects. Has to be kept in sync with the
+ * `cdk-drag-drop` Sass mixin.
+ */
+export declare const DROP_EFFECT_CURSORS: {
+    [key in DropEffect]: string;
+};
+/**
+ * Gets the effect of dropping an item with particular kinds, based on the first matching rule.
+ * @param rules Rules that should be checked.
+ * @param kinds Kinds of the item that is being dropped.
+ * @returns Effect of the first rule that matches, or `none` if no rule matches.
+ */
+export declare function getAcceptedDropEffect(rules: DropListAcceptRule[], kinds: string[]): DropEffect;
@@ -10,7 +10,15 @@ import { Direction } from '@angular/cdk/bidi';
 import { ViewportRuler } from '@angular/cdk/scrolling';
 import { Subject } from 'rxjs';
 import { DragDropRegistry } from './drag-drop-registry';
-import { DragRefInternal as DragRef, Point } from './drag-ref';
+import { DragKeyboardDirection, DragRefInternal as DragRef, Point } from './drag-ref';
+import { DragAnimationFn, DragAnimationType } from './drag-animation';
+import { DropEffect, DropListAcceptRule } from './drop-effect';
+/**
+ * Possible orientations of a drop list. In the `mixed` orientation the items can wrap
+ * onto multiple lines (e.g. in a wrapping flex container or a grid) and they're sorted
+ * by moving the placeholder in the DOM, rather than by offsetting the items.
+ */
+export declare type DropListRefOrientation = 'horizontal' | 'vertical' | 'mixed';
 /**
  * Internal compile-time-only representation of a `DropListRef`.
  * Used to avoid circular import issues between the `DropListRef` and the `DragRef`.
@@ -40,6 +48,11 @@ export declare class DropListRef<T = any> {
     autoScrollDisabled: boolean;
     /** Number of pixels to scroll for each frame when auto-scrolling an element. */
     autoScrollStep: number;
+    /**
+     * Whether the user can select multiple items in the list, by clicking on them while holding
+     * down the ctrl, meta or shift keys, and drag them together.
+     */
+    multiSelect: boolean;
     /**
      * Function that is used to determine whether an item
      * is allowed to be moved into a drop container.
@@ -47,6 +60,28 @@ export declare class DropListRef<T = any> {
     enterPredicate: (drag: DragRef, drop: DropListRef) => boolean;
     /** Functions that is used to determine whether an item can be sorted into a particular index. */
     sortPredicate: (index: number, drag: DragRef, drop: DropListRef) => boolean;
+    /**
+     * Rules that determine which kinds of items the list accepts and the effect of dropping them
+     * into the list. The first rule that matches one of the item's `kinds` is used and items that
+     * don't match any rule are refused. All items are moved into the list if no rules are set.
+     */
+    acceptRules: DropListAcceptRule[] | null;
+    /**
+     * Whether the list accepts native drops, like files from the operating system
+     * or data that is being dragged from a different page.
+     */
+    nativeDropsEnabled: boolean;
+    /**
+     * Function that is used to determine whether native data is allowed to be dropped into the
+     * container. Note that browsers only expose the data itself once it has been dropped, but
+     * `event.dataTransfer.types` can be used to check what kind of data is being dragged.
+     */
+    nativeEnterPredicate: (event: DragEvent, drop: DropListRef) => boolean;
+    /**
+     * Function used to animate the items as they're moved out of the way while sorting. The items
+     * are animated using the CSS transitions defined on them if no function is set.
+     */
+    animationFn: DragAnimationFn | null;
     /** Emits right before dragging has started. */
     beforeStarted: Subject<void>;
     /**
@@ -68,12 +103,15 @@ export declare class DropListRef<T = any> {
     /** Emits when the user drops an item inside the container. */
     dropped: Subject<{
         item: DragRef;
+        items: DragRef[];
         currentIndex: number;
         previousIndex: number;
+        previousIndices: number[];
         container: DropListRef;
         previousContainer: DropListRef;
         isPointerOverContainer: boolean;
         distance: Point;
+        dropEffect: DropEffect;
     }>;
     /** Emits as the user is swapping items while actively dragging. */
     sorted: Subject<{
@@ -82,6 +120,48 @@ export declare class DropListRef<T = any> {
         container: DropListRef;
         item: DragRef;
     }>;
+    /**
+     * Emits right before the selection changes as a result of the user clicking on an item.
+     * Can be used to sync up the list's items before the selection is determined.
+     */
+    beforeSelectionChanged: Subject<void>;
+    /** Emits when the items that are selected in the list have changed. */
+    selectionChanged: Subject<{
+        container: DropListRef;
+        items: DragRef[];
+    }>;
+    /** Emits when native data is dragged into the container. */
+    nativeEntered: Subject<{
+        container: DropListRef;
+        currentIndex: number;
+        event: DragEvent;
+    }>;
+    /** Emits when native data is dragged out of the container without being dropped. */
+    nativeExited: Subject<{
+        container: DropListRef;
+        event: DragEvent;
+    }>;
+    /** Emits when the index at which native data would be inserted changes. */
+    nativeSorted: Subject<{
+        container: DropListRef;
+        previousIndex: number;
+        currentIndex: number;
+        event: DragEvent;
+    }>;
+    /** Emits when native data is dropped into the container. */
+    nativeDropped: Subject<{
+        container: DropListRef;
+        currentIndex: number;
+        dataTransfer: DataTransfer;
+        event: DragEvent;
+    }>;
+    /** Emits when an item is done animating to its new position while sorting. */
+    animationDone: Subject<{
+        container: DropListRef;
+        item: DragRef | null;
+        type: DragAnimationType;
+        element: HTMLElement;
+    }>;
     /** Arbitrary data that can be attached to the drop list. */
     data: T;
     /** Whether an item in the list is being dragged. */
@@ -112,6 +192,8 @@ export declare class DropListRef<T = any> {
     private _orientation;
     /** Connected siblings that currently have a dragged item. */
     private _activeSiblings;
+    /** Connected lists whose items are being dragged, but can't be dropped into this list. */
+    private _refusedSiblings;
     /** Layout direction of the drop list. */
     private _direction;
     /** Subscription to the window being scrolled. */
@@ -124,14 +206,30 @@ export declare class DropListRef<T = any> {
     private _scrollNode;
     /** Used to signal to the current auto-scroll sequence when to stop. */
     private _stopScrollTimers;
-    /** Shadow root of the current element. Necessary for `elementFromPoint` to resolve correctly. */
-    private _cachedShadowRoot;
     /** Reference to the document. */
     private _document;
+    /** Document that the element is in, if it was registered because it's inside a frame. */
+    private _registeredDocument;
     /** Elements that can be scrolled while the user is dragging. */
     private _scrollableElements;
     /** Initial value for the element's `scroll-snap-type` style. */
     private _initialScrollSnap;
+    /** Inline `transition` values of the elements whose transitions were disabled while sorting. */
+    private _initialTransitions;
+    /** Items that are currently selected in the list. */
+    private _selectedItems;
+    /** Item that was last selected by the user. Used as the start of a range selection. */
+    private _lastSelectedItem;
+    /** Index at which native data would be inserted. Null if no native data is being dragged. */
+    private _nativeDropIndex;
+    /** Element that shows where native data will be inserted. */
+    private _nativePlaceholder;
+    /**
+     * Number of `dragenter` events that haven't been matched by a `dragleave` yet. Used to
+     * determine when native data leaves the list, because `dragleave` is also dispatched
+     * when the pointer moves between descendants of the list.
+     */
+    private _nativeDragDepth;
     constructor(element: ElementRef<HTMLElement> | HTMLElement, _dragDropRegistry: DragDropRegistry<DragRef, DropListRef>, _document: any, _ngZone: NgZone, _viewportRuler: ViewportRuler);
     /** Removes the drop list functionality from the DOM element. */
     dispose(): void;
@@ -162,8 +260,10 @@ export declare class DropListRef<T = any> {
      * @param isPointerOverContainer Whether the user's pointer was over the
      *    container when the item was dropped.
      * @param distance Distance the user has dragged since the start of the dragging sequence.
+     * @param items All of the items being dropped, if multiple selected items were dragged together.
+     * @param previousIndices Indices of all of the items being dropped when dragging started.
      */
-    drop(item: DragRef, currentIndex: number, previousIndex: number, previousContainer: DropListRef, isPointerOverContainer: boolean, distance: Point): void;
+    drop(item: DragRef, currentIndex: number, previousIndex: number, previousContainer: DropListRef, isPointerOverContainer: boolean, distance: Point, items?: DragRef[], previousIndices?: number[]): void;
     /**
      * Sets the draggable items that are a part of this list.
      * @param items Items that are a part of this list.
@@ -181,7 +281,7 @@ export declare class DropListRef<T = any> {
      * Sets the orientation of the container.
      * @param orientation New orientation for the container.
      */
-    withOrientation(orientation: 'vertical' | 'horizontal'): this;
+    withOrientation(orientation: DropListRefOrientation): this;
     /**
      * Sets which parent elements are can be scrolled while the user is dragging.
      * @param elements Elements that can be scrolled.
@@ -194,11 +294,41 @@ export declare class DropListRef<T = any> {
      * @param item Item whose index should be determined.
      */
     getItemIndex(item: DragRef): number;
+    /** Gets the items that are currently selected, in the order in which they appear in the list. */
+    getSelectedItems(): DragRef[];
+    /**
+     * Whether an item is selected in the list.
+     * @param item Item whose selection state should be checked.
+     */
+    isItemSelected(item: DragRef): boolean;
+    /**
+     * Adds an item to the selection of the list.
+     * @param item Item to be selected.
+     */
+    selectItem(item: DragRef): void;
+    /**
+     * Removes an item from the selection of the list.
+     * @param item Item to be deselected.
+     */
+    deselectItem(item: DragRef): void;
+    /** Deselects all of the items in the list. */
+    clearSelection(): void;
     /**
      * Whether the list is able to receive the item that
      * is currently being dragged inside a connected drop list.
      */
     isReceiving(): boolean;
+    /**
+     * Whether the list refuses the item that is currently being dragged inside
+     * a connected drop list, based on its `enterPredicate` or `acceptRules`.
+     */
+    isRefusing(): boolean;
+    /**
+     * Gets the effect of dropping an item into the list. Items can always be moved back
+     * into the list that they started off in, regardless of the list's rules.
+     * @param item Item that is being dragged.
+     */
+    getDropEffect(item: DragRef): DropEffect;
     /**
      * Sorts an item inside the container based on its position.
      * @param item Item to be sorted.
@@ -210,6 +340,43 @@ export declare class DropListRef<T = any> {
         x: number;
         y: number;
     }): void;
+    /**
+     * Moves an item to a specific index inside the container, regardless of where it's rendered.
+     * Used when sorting the items using the keyboard.
+     * @param item Item to be sorted.
+     * @param newIndex Index to which the item should be moved.
+     * @docs-private
+     */
+    _sortItemToIndex(item: DragRef, newIndex: number): void;
+    /**
+     * Gets the index of an item among the items that are currently being sorted.
+     * @param item Item whose index should be determined.
+     * @docs-private
+     */
+    _getSortIndex(item: DragRef): number;
+    /**
+     * Determines the index to which an item should be moved when the user presses one of the arrow
+     * keys while dragging it using the keyboard. Returns -1 if the item can't be moved any further
+     * in the specified direction within the container.
+     * @param item Item that is being dragged.
+     * @param direction Direction in which the item should be moved.
+     * @docs-private
+     */
+    _getKeyboardSortIndex(item: DragRef, direction: DragKeyboardDirection): number;
+    /**
+     * Determines the index to which an item should be moved using the keyboard in a list whose
+     * items can wrap onto multiple lines. Horizontal keys move the item to the previous or next
+     * index, whereas vertical keys move it to the closest item on the previous or next line.
+     */
+    private _getMixedListKeyboardSortIndex;
+    /**
+     * Sorts an item inside a list whose items are laid out along a single axis by offsetting
+     * the items from their initial positions.
+     * @param item Item to be sorted.
+     * @param newIndex Index to which the item should be moved.
+     * @returns Sibling that was at the new index before sorting or null if nothing was moved.
+     */
+    private _sortItemInLinearList;
     /**
      * Checks whether the user's pointer is close to the edges of either the
      * viewport or the drop list and starts the auto-scroll sequence.
@@ -217,8 +384,72 @@ export declare class DropListRef<T = any> {
      * @param pointerY User's pointer position along the y axis.
      */
     _startScrollingIfNecessary(pointerX: number, pointerY: number): void;
+    /**
+     * Sorts an item inside a list whose items can wrap onto multiple lines. Since the
+     * items can move across line breaks, we can't offset them along a single axis. Instead
+     * we move the placeholder in the DOM and we animate the rest of the items from their
+     * previous positions to their new ones.
+     * @param item Item to be sorted.
+     * @param newIndex Index to which the item should be moved.
+     * @returns Sibling that was at the new index before sorting or null if nothing was moved.
+     */
+    private _sortItemInMixedList;
+    /**
+     * Re-measures the items after a placeholder has been moved in the DOM and animates
+     * the items from their previous positions to their new ones.
+     * @param draggedItem Item that is being dragged, if any.
+     * @param previousRects Positions of the items before the placeholder was moved.
+     */
+    private _animateToNewPositions;
+    /**
+     * Moves an item to its new offset while sorting a list, and animates it either
+     * through the `animationFn` or through the transition defined on the element.
+     * @param draggedItem Item that is being dragged.
+     * @param element Element that should be moved.
+     * @param from Offset from which the element is being moved.
+     * @param to Offset to which the element is being moved.
+     */
+    private _animateSortedItem;
+    /** Disables the CSS transition of an element, storing its inline value so it can be restored. */
+    private _disableTransition;
+    /** Restores the CSS transition of an element that was disabled while sorting. */
+    private _restoreTransition;
+    /** Hands off the sorting animation of an element to the `animationFn`. */
+    private _runSortAnimation;
+    /** Emits the `animationDone` event once the CSS transition of a sorted item is done. */
+    private _emitAnimationDoneAfterTransition;
     /** Stops any currently-running auto-scroll sequences. */
     _stopScrolling(): void;
+    /**
+     * Scrolls the list, its scrollable parents and the viewport so that an element inside of the
+     * list is visible. Used to keep the placeholder in view while sorting using the keyboard.
+     * @param element Element that should be scrolled into view.
+     * @docs-private
+     */
+    _scrollIntoView(element: HTMLElement): void;
+    /**
+     * Updates the selection in response to the user clicking on one of the items. Clicking while
+     * holding down ctrl or meta toggles the item, holding down shift selects all of the items
+     * between the last selected item and the clicked one and a plain click selects only the item.
+     * @param item Item that was clicked.
+     * @param event Event that triggered the click.
+     * @docs-private
+     */
+    _handleItemClick(item: DragRef, event: MouseEvent): void;
+    /**
+     * Gets all of the items that should be dragged when the user starts dragging an item. If the
+     * item is selected, the rest of the selected items will be dragged together with it.
+     * @param item Item that the user started dragging.
+     * @docs-private
+     */
+    _getMultiDragItems(item: DragRef): DragRef[];
+    /**
+     * Gets the index of an item among the items of the list, ignoring the sort order
+     * of the current drag sequence. Items that are dragged together with another item
+     * aren't part of the sorting so this is the only way to determine their index.
+     * @docs-private
+     */
+    _getDraggableIndex(item: DragRef): number;
     /** Starts the dragging sequence within the list. */
     private _draggingStarted;
     /** Caches the positions of the configured scrollable parents. */
@@ -273,6 +504,23 @@ export declare class DropListRef<T = any> {
      * @param y Position of the item along the Y axis.
      */
     _getSiblingContainerFromPosition(item: DragRef, x: number, y: number): DropListRef | undefined;
+    /**
+     * Gets how deeply a container is nested inside this container and its siblings. Top-level
+     * containers are at level zero, containers inside one of their items are at level one etc.
+     * @param container Container whose level should be determined.
+     * @docs-private
+     */
+    _getContainerLevel(container: DropListRef): number;
+    /**
+     * Finds the closest container, out of this one and its siblings, in a specific direction from
+     * an item. Used to move items between containers while dragging using the keyboard.
+     * @param item Item that is being dragged.
+     * @param currentContainer Container that the item is currently in.
+     * @param itemRect Current position of the item.
+     * @param direction Direction in which to look for a container.
+     * @docs-private
+     */
+    _getSiblingContainerInDirection(item: DragRef, currentContainer: DropListRef, itemRect: ClientRect, direction: DragKeyboardDirection): DropListRef | null;
     /**
      * Checks whether the drop list can receive the passed-in item.
      * @param item Item that is being dragged into the list.
@@ -280,6 +528,22 @@ export declare class DropListRef<T = any> {
      * @param y Position of the item along the Y axis.
      */
     _canReceive(item: DragRef, x: number, y: number): boolean;
+    /**
+     * Finds a connected list under a specific point that refuses the item being dragged.
+     * Used to show feedback to the user about why the item can't be dropped.
+     * @param x Position along the X axis.
+     * @param y Position along the Y axis.
+     * @docs-private
+     */
+    _getRefusingSiblingFromPosition(x: number, y: number): DropListRef | undefined;
+    /** Checks whether the list's `acceptRules` allow an item to be dropped into the list. */
+    private _acceptsItem;
+    /**
+     * Checks whether the drop list, or one of its descendants, is the top-most element at a point.
+     * @param x Position along the X axis.
+     * @param y Position along the Y axis.
+     */
+    private _isTopmostElementAtPoint;
     /**
      * Called by one of the connected drop lists when a dragging sequence has started.
      * @param sibling Sibling in which dragging has started.
@@ -296,12 +560,39 @@ export declare class DropListRef<T = any> {
      */
     private _listenToScrollEvents;
     /**
-     * Lazily resolves and returns the shadow root of the element. We do this in a function, rather
-     * than saving it in property directly on init, because we want to resolve it as late as possible
-     * in order to ensure that the element has been moved into the shadow DOM. Doing it inside the
-     * constructor might be too early if the element is inside of something like `ngFor` or `ngIf`.
+     * Registers the document that the element is in with the drag&drop registry, if it's
+     * different from the main one, so that items can be dragged from and into frames. We do this
+     * lazily, rather than in the constructor, because the element could've been moved into a
+     * different document after it was created.
+     */
+    private _registerOwnerDocument;
+    /** Handles `dragenter` events for native drag sequences. */
+    private _nativeDragEnter;
+    /** Handles `dragover` events for native drag sequences. */
+    private _nativeDragOver;
+    /** Handles `dragleave` events for native drag sequences. */
+    private _nativeDragLeave;
+    /** Handles `drop` events for native drag sequences. */
+    private _nativeDrop;
+    /** Whether the list can receive the data from a native drag event. */
+    private _canReceiveNativeDrag;
+    /** Starts showing where native data will be inserted, once it has been dragged into the list. */
+    private _startNativeDrag;
+    /** Stops the native drag sequence, because the data was dragged out of the list. */
+    private _exitNativeDrag;
+    /** Removes the native placeholder and resets the list to its initial state. */
+    private _endNativeDrag;
+    /**
+     * Gets the index at which native data would be inserted, based on the position of the pointer.
+     * The index is the number of items that come before the pointer in the list.
      */
-    private _getShadowRoot;
+    private _getNativeDropIndex;
+    /** Moves the native placeholder to a specific index and animates the rest of the items. */
+    private _moveNativePlaceholder;
+    /** Creates the element that shows where native data will be inserted. */
+    private _createNativePlaceholder;
+    /** Emits the current selection through the `selectionChanged` stream. */
+    private _emitSelectionChange;
     /** Notifies any siblings that may potentially receive the item. */
     private _notifyReceivingSiblings;
 }
@@ -6,9 +6,15 @@
  * found in the LICENSE file at https://angular.io/license
  */
 export { DragDrop } from './drag-drop';
-export { DragRef, DragRefConfig, Point, PreviewContainer } from './drag-ref';
-export { DropListRef } from './drop-list-ref';
+export { DragKeyboardAction, DragKeyboardDirection, DragRef, DragRefConfig, Point, PreviewContainer, } from './drag-ref';
+export { DropListRef, DropListRefOrientation } from './drop-list-ref';
+export { DragCanvasRef } from './drag-canvas-ref';
+export { DragAnimation, DragAnimationFn, DragAnimationType } from './drag-animation';
+export { DragDropHistory, DragDropHistoryChange, DragDropOperation, DragDropOperationType, } from './drag-drop-history';
+export { DropEffect, DropListAcceptRule } from './drop-effect';
+export { ResizeDimensions, ResizeHandle, ResizeHandlePosition, ResizeRef } from './resize-ref';
 export { CDK_DRAG_PARENT } from './drag-parent';
+export { CDK_RESIZE_PARENT } from './resize-parent';
 export * from './drag-events';
 export * from './drag-utils';
 export * from './drag-drop-module';
@@ -17,6 +23,11 @@ export { CdkDropList, CDK_DROP_LIST } from './directives/drop-list';
 export * from './directives/config';
 export * from './directives/drop-list-group';
 export * from './directives/drag';
+export * from './directives/drag-keyboard-intl';
 export * from './directives/drag-handle';
 export * from './directives/drag-preview';
 export * from './directives/drag-placeholder';
+export * from './directives/drag-canvas';
+export * from './directives/resizable';
+export * from './directives/resize-handle';
+export * from './directives/drag-drop-history';
@@ -0,0 +1,14 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { InjectionToken } from '@angular/core';
+/**
+ * Injection token that can be used for a `CdkResizable` to provide itself as a parent to
+ * its `CdkResizeHandle` directives. Used primarily to avoid circular imports.
+ * @docs-private
+ */
+export declare const CDK_RESIZE_PARENT: InjectionToken<{}>;
@@ -0,0 +1,164 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { ElementRef, NgZone } from '@angular/core';
+import { Direction } from '@angular/cdk/bidi';
+import { ViewportRuler } from '@angular/cdk/scrolling';
+import { Subject } from 'rxjs';
+import { DragDropRegistry } from './drag-drop-registry';
+import { DragRef, DragRefConfig } from './drag-ref';
+import { DropListRef } from './drop-list-ref';
+/**
+ * Position of a resize handle, relative to the element that it resizes. Handles on the
+ * `start` and `end` resize horizontally, whereas the `top` and `bottom` ones resize
+ * vertically. Corner handles resize along both axes.
+ */
+export declare type ResizeHandlePosition = 'top' | 'bottom' | 'start' | 'end' | 'top-start' | 'top-end' | 'bottom-start' | 'bottom-end';
+/** Dimensions of an element that is being resized. */
+export interface ResizeDimensions {
+    width: number;
+    height: number;
+}
+/** Handle through which an element can be resized. */
+export interface ResizeHandle {
+    /** Element that the user interacts with. */
+    element: ElementRef<HTMLElement> | HTMLElement;
+    /** Position of the handle, relative to the element that is being resized. */
+    position: ResizeHandlePosition;
+}
+/**
+ * Reference to an element that can be resized by dragging its handles. Uses a `DragRef` for
+ * each handle in order to track the user's pointer. Handles can also be focused and moved
+ * using the arrow keys.
+ */
+export declare class ResizeRef<T = any> {
+    private _config;
+    private _document;
+    private _ngZone;
+    private _viewportRuler;
+    private _dragDropRegistry;
+    /** Element that is being resized. */
+    private _element;
+    /** Handles that have been registered with the ref. */
+    private _handles;
+    /** Handle that the user is currently dragging. */
+    private _activeHandle;
+    /** Dimensions of the element when the user started resizing it. */
+    private _initialSize;
+    /** Last dimensions that were applied to the element. */
+    private _currentSize;
+    /**
+     * Difference between the measured dimensions of the element and its `width` and `height`.
+     * Used to account for padding and borders when the element doesn't use `border-box` sizing.
+     */
+    private _sizeOffset;
+    /** Element inside of which the element can't be resized beyond. */
+    private _boundaryElement;
+    /** Layout direction of the element. */
+    private _direction;
+    /** Whether resizing is disabled. */
+    get disabled(): boolean;
+    set disabled(value: boolean);
+    private _disabled;
+    /** Minimum width of the element, in pixels. */
+    minWidth: number;
+    /** Maximum width of the element, in pixels. */
+    maxWidth: number;
+    /** Minimum height of the element, in pixels. */
+    minHeight: number;
+    /** Maximum height of the element, in pixels. */
+    maxHeight: number;
+    /**
+     * Whether to preserve the ratio between the element's width and height,
+     * as it was when the user started resizing.
+     */
+    lockAspectRatio: boolean;
+    /** Amount of pixels by which to resize the element when the user presses an arrow key. */
+    keyboardStep: number;
+    /** Arbitrary data that can be attached to the ref. */
+    data: T;
+    /** Emits before the user starts resizing the element. */
+    readonly beforeStarted: Subject<void>;
+    /** Emits when the user starts resizing the element. */
+    readonly started: Subject<{
+        source: ResizeRef;
+        handle: HTMLElement;
+    }>;
+    /** Emits as the user is resizing the element. */
+    readonly resized: Subject<{
+        source: ResizeRef;
+        handle: HTMLElement;
+        width: number;
+        height: number;
+    }>;
+    /** Emits when the user stops resizing the element. */
+    readonly ended: Subject<{
+        source: ResizeRef;
+        handle: HTMLElement;
+        width: number;
+        height: number;
+    }>;
+    constructor(element: ElementRef<HTMLElement> | HTMLElement, _config: DragRefConfig, _document: Document, _ngZone: NgZone, _viewportRuler: ViewportRuler, _dragDropRegistry: DragDropRegistry<DragRef, DropListRef>);
+    /** Whether the user is currently resizing the element. */
+    isResizing(): boolean;
+    /**
+     * Registers the handles through which the user can resize the element.
+     * @param handles Handles that should be registered.
+     */
+    withHandles(handles: ResizeHandle[]): this;
+    /**
+     * Sets an element that the resizable element can't grow beyond.
+     * @param boundaryElement Element that the element should stay inside of.
+     */
+    withBoundaryElement(boundaryElement: ElementRef<HTMLElement> | HTMLElement | null): this;
+    /** Sets the layout direction of the element. */
+    withDirection(direction: Direction): this;
+    /** Gets the current dimensions of the element. */
+    getSize(): ResizeDimensions;
+    /**
+     * Resizes the element to specific dimensions. The dimensions are constrained
+     * by the ref's minimum and maximum sizes.
+     * @param size Dimensions to which to resize the element.
+     */
+    setSize(size: ResizeDimensions): this;
+    /** Removes the resizing functionality from the element. */
+    dispose(): void;
+    /** Creates the state for a handle and starts listening to its events. */
+    private _createHandle;
+    /** Removes all of the registered handles. */
+    private _removeHandles;
+    /** Starts a resizing sequence through a specific handle. */
+    private _startResizing;
+    /**
+     * Resizes the element based on how far the user has moved a handle.
+     * @param handle Handle that is being moved.
+     * @param distance Distance that the handle has been moved since resizing started.
+     */
+    private _resize;
+    /** Stops the current resizing sequence. */
+    private _stopResizing;
+    /** Handles keyboard events on the resize handles. */
+    private _handleKeydown;
+    /**
+     * Gets the direction in which a handle changes the element's dimensions.
+     * `1` means that the dimension increases as the pointer moves to the right or down,
+     * `-1` means that it decreases and `0` means that the handle doesn't affect it.
+     */
+    private _getHandleDirection;
+    /**
+     * Constrains a set of dimensions to the minimum and maximum sizes
+     * and to the element's aspect ratio, if it is locked.
+     * @param size Dimensions to be constrained.
+     * @param resizesX Whether the width is being changed.
+     * @param resizesY Whether the height is being changed.
+     */
+    private _constrainSize;
+    /** Measures how much the element's dimensions differ from its `width` and `height`. */
+    private _measureSizeOffset;
+    /** Applies a set of dimensions to the element. */
+    private _applySize;
+}
@@ -7,3 +7,10 @@
  */
 /** Gets the transform transition duration, including the delay, of an element in milliseconds. */
 export declare function getTransformTransitionDurationInMs(element: HTMLElement): number;
+/**
+ * Waits for the `transform` transition of an element to finish.
+ * @param element Element whose transition should be awaited.
+ * @param duration Duration of the transition, including the delay, in milliseconds.
+ * @returns Promise that resolves when the transition completes.
+ */
+export declare function waitForTransformTransition(element: HTMLElement, duration: number): Promise<void>;
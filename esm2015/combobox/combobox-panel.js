@@ -0,0 +1,107 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { CDK_LISTBOX_PANEL } from '@angular/cdk/listbox';
+import { Directive, Input, TemplateRef } from '@angular/core';
+import { Subject } from 'rxjs';
+/**
+ * Directive applied to an ng-template which holds the popup content of a combobox. The content
+ * is rendered inside of an overlay once the combobox that references the panel is opened, and
+ * uses the panel to hand its value back to the combobox.
+ */
+export class CdkComboboxPanel {
+    constructor(_templateRef) {
+        this._templateRef = _templateRef;
+        /** Emits when the content of the panel has updated the value of the combobox. */
+        this.valueUpdated = new Subject();
+        /** Emits when the content of the panel has asked for the panel to be closed. */
+        this.closeRequested = new Subject();
+        /** Type of the content of the panel, used for the `aria-haspopup` attribute of the combobox. */
+        this.contentType = 'listbox';
+        /** ID of the element that renders the content of the panel, if it is open. */
+        this.contentId = '';
+        /** Element that renders the content of the panel, if it is open. */
+        this._contentElement = null;
+        /** Whether the content should be focused as soon as it is registered. */
+        this._focusContentOnRegister = false;
+    }
+    /**
+     * Updates the value of the combobox without closing the panel.
+     * @param data Value that should be passed to the combobox.
+     */
+    updateValue(data) {
+        this.valueUpdated.next(data);
+    }
+    /**
+     * Closes the panel, optionally updating the value of the combobox.
+     * @param data Value that should be passed to the combobox before closing.
+     */
+    closePanel(data) {
+        if (data !== undefined) {
+            this.updateValue(data);
+        }
+        this.closeRequested.next();
+    }
+    /** Moves focus to the content of the panel, or once it is rendered if it isn't yet. */
+    focusContent() {
+        if (this._contentElement) {
+            this._contentElement.focus();
+        }
+        else {
+            this._focusContentOnRegister = true;
+        }
+    }
+    /**
+     * Registers the element that renders the content of the panel.
+     * @param element Element that renders the content.
+     * @param id ID of the element.
+     * @param contentType Type of the content, if it differs from the panel's type.
+     * @docs-private
+     */
+    _registerContent(element, id, contentType) {
+        this._contentElement = element;
+        this.contentId = id;
+        if (contentType) {
+            this.contentType = contentType;
+        }
+        if (this._focusContentOnRegister) {
+            this._focusContentOnRegister = false;
+            element.focus();
+        }
+    }
+    /**
+     * Removes the reference to the content of the panel once it is destroyed.
+     * @docs-private
+     */
+    _unregisterContent(element) {
+        if (this._contentElement === element) {
+            this._contentElement = null;
+            this.contentId = '';
+        }
+    }
+    /**
+     * Resets the state that was tied to the most recent time the panel was opened.
+     * @docs-private
+     */
+    _reset() {
+        this._focusContentOnRegister = false;
+    }
+}
+CdkComboboxPanel.decorators = [
+    { type: Directive, args: [{
+                selector: 'ng-template[cdkComboboxPanel]',
+                exportAs: 'cdkComboboxPanel',
+                providers: [{ provide: CDK_LISTBOX_PANEL, useExisting: CdkComboboxPanel }],
+            },] }
+];
+CdkComboboxPanel.ctorParameters = () => [
+    { type: TemplateRef }
+];
+CdkComboboxPanel.propDecorators = {
+    contentType: [{ type: Input, args: ['cdkComboboxPanelType',] }]
+};
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiY29tYm9ib3gtcGFuZWwuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyIuLi8uLi8uLi8uLi8uLi8uLi9zcmMvY2RrL2NvbWJvYm94L2NvbWJvYm94LXBhbmVsLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBOzs7Ozs7R0FNRztBQUVILE9BQU8sRUFBQyxpQkFBaUIsRUFBQyxNQUFNLHNCQUFzQixDQUFDO0FBQ3ZELE9BQU8sRUFBQyxTQUFTLEVBQUUsS0FBSyxFQUFFLFdBQVcsRUFBQyxNQUFNLGVBQWUsQ0FBQztBQUM1RCxPQUFPLEVBQUMsT0FBTyxFQUFDLE1BQU0sTUFBTSxDQUFDO0FBSzdCOzs7O0dBSUc7QUFNSCxNQUFNLE9BQU8sZ0JBQWdCO0lBbUIzQixZQUFxQixZQUFrQztRQUFsQyxpQkFBWSxHQUFaLFlBQVksQ0FBc0I7UUFsQnZELGlGQUFpRjtRQUN4RSxpQkFBWSxHQUFHLElBQUksT0FBTyxFQUFXLENBQUM7UUFFL0MsZ0ZBQWdGO1FBQ3ZFLG1CQUFjLEdBQUcsSUFBSSxPQUFPLEVBQVEsQ0FBQztRQUU5QyxnR0FBZ0c7UUFDakUsZ0JBQVcsR0FBc0IsU0FBUyxDQUFDO1FBRTFFLDhFQUE4RTtRQUM5RSxjQUFTLEdBQVcsRUFBRSxDQUFDO1FBRXZCLG9FQUFvRTtRQUM1RCxvQkFBZSxHQUF1QixJQUFJLENBQUM7UUFFbkQseUVBQXlFO1FBQ2pFLDRCQUF1QixHQUFHLEtBQUssQ0FBQztJQUVrQixDQUFDO0lBRTNEOzs7T0FHRztJQUNILFdBQVcsQ0FBQyxJQUFhO1FBQ3ZCLElBQUksQ0FBQyxZQUFZLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDO0lBQy9CLENBQUM7SUFFRDs7O09BR0c7SUFDSCxVQUFVLENBQUMsSUFBYztRQUN2QixJQUFJLElBQUksS0FBSyxTQUFTLEVBQUU7WUFDdEIsSUFBSSxDQUFDLFdBQVcsQ0FBQyxJQUFJLENBQUMsQ0FBQztTQUN4QjtRQUVELElBQUksQ0FBQyxjQUFjLENBQUMsSUFBSSxFQUFFLENBQUM7SUFDN0IsQ0FBQztJQUVELHVGQUF1RjtJQUN2RixZQUFZO1FBQ1YsSUFBSSxJQUFJLENBQUMsZUFBZSxFQUFFO1lBQ3hCLElBQUksQ0FBQyxlQUFlLENBQUMsS0FBSyxFQUFFLENBQUM7U0FDOUI7YUFBTTtZQUNMLElBQUksQ0FBQyx1QkFBdUIsR0FBRyxJQUFJLENBQUM7U0FDckM7SUFDSCxDQUFDO0lBRUQ7Ozs7OztPQU1HO0lBQ0gsZ0JBQWdCLENBQUMsT0FBb0IsRUFBRSxFQUFVLEVBQUUsV0FBK0I7UUFDaEYsSUFBSSxDQUFDLGVBQWUsR0FBRyxPQUFPLENBQUM7UUFDL0IsSUFBSSxDQUFDLFNBQVMsR0FBRyxFQUFFLENBQUM7UUFFcEIsSUFBSSxXQUFXLEVBQUU7WUFDZixJQUFJLENBQUMsV0FBVyxHQUFHLFdBQVcsQ0FBQztTQUNoQztRQUVELElBQUksSUFBSSxDQUFDLHVCQUF1QixFQUFFO1lBQ2hDLElBQUksQ0FBQyx1QkFBdUIsR0FBRyxLQUFLLENBQUM7WUFDckMsT0FBTyxDQUFDLEtBQUssRUFBRSxDQUFDO1NBQ2pCO0lBQ0gsQ0FBQztJQUVEOzs7T0FHRztJQUNILGtCQUFrQixDQUFDLE9BQW9CO1FBQ3JDLElBQUksSUFBSSxDQUFDLGVBQWUsS0FBSyxPQUFPLEVBQUU7WUFDcEMsSUFBSSxDQUFDLGVBQWUsR0FBRyxJQUFJLENBQUM7WUFDNUIsSUFBSSxDQUFDLFNBQVMsR0FBRyxFQUFFLENBQUM7U0FDckI7SUFDSCxDQUFDO0lBRUQ7OztPQUdHO0lBQ0gsTUFBTTtRQUNKLElBQUksQ0FBQyx1QkFBdUIsR0FBRyxLQUFLLENBQUM7SUFDdkMsQ0FBQzs7O1lBN0ZGLFNBQVMsU0FBQztnQkFDVCxRQUFRLEVBQUUsK0JBQStCO2dCQUN6QyxRQUFRLEVBQUUsa0JBQWtCO2dCQUM1QixTQUFTLEVBQUUsQ0FBQyxFQUFDLE9BQU8sRUFBRSxpQkFBaUIsRUFBRSxXQUFXLEVBQUUsZ0JBQWdCLEVBQUMsQ0FBQzthQUN6RTs7O1lBZnlCLFdBQVc7OzswQkF3QmxDLEtBQUssU0FBQyxzQkFBc0IiLCJzb3VyY2VzQ29udGVudCI6WyIvKipcbiAqIEBsaWNlbnNlXG4gKiBDb3B5cmlnaHQgR29vZ2xlIExMQyBBbGwgUmlnaHRzIFJlc2VydmVkLlxuICpcbiAqIFVzZSBvZiB0aGlzIHNvdXJjZSBjb2RlIGlzIGdvdmVybmVkIGJ5IGFuIE1JVC1zdHlsZSBsaWNlbnNlIHRoYXQgY2FuIGJlXG4gKiBmb3VuZCBpbiB0aGUgTElDRU5TRSBmaWxlIGF0IGh0dHBzOi8vYW5ndWxhci5pby9saWNlbnNlXG4gKi9cblxuaW1wb3J0IHtDREtfTElTVEJPWF9QQU5FTH0gZnJvbSAnQGFuZ3VsYXIvY2RrL2xpc3Rib3gnO1xuaW1wb3J0IHtEaXJlY3RpdmUsIElucHV0LCBUZW1wbGF0ZVJlZn0gZnJvbSAnQGFuZ3VsYXIvY29yZSc7XG5pbXBvcnQge1N1YmplY3R9IGZyb20gJ3J4anMnO1xuXG4vKiogUG9zc2libGUgdmFsdWVzIG9mIHRoZSBgYXJpYS1oYXNwb3B1cGAgYXR0cmlidXRlIG9mIGEgY29tYm9ib3guICovXG5leHBvcnQgdHlwZSBBcmlhSGFzUG9wdXBWYWx1ZSA9ICdmYWxzZScgfCAndHJ1ZScgfCAnbWVudScgfCAnbGlzdGJveCcgfCAndHJlZScgfCAnZ3JpZCcgfCAnZGlhbG9nJztcblxuLyoqXG4gKiBEaXJlY3RpdmUgYXBwbGllZCB0byBhbiBuZy10ZW1wbGF0ZSB3aGljaCBob2xkcyB0aGUgcG9wdXAgY29udGVudCBvZiBhIGNvbWJvYm94LiBUaGUgY29udGVudFxuICogaXMgcmVuZGVyZWQgaW5zaWRlIG9mIGFuIG92ZXJsYXkgb25jZSB0aGUgY29tYm9ib3ggdGhhdCByZWZlcmVuY2VzIHRoZSBwYW5lbCBpcyBvcGVuZWQsIGFuZFxuICogdXNlcyB0aGUgcGFuZWwgdG8gaGFuZCBpdHMgdmFsdWUgYmFjayB0byB0aGUgY29tYm9ib3guXG4gKi9cbkBEaXJlY3RpdmUoe1xuICBzZWxlY3RvcjogJ25nLXRlbXBsYXRlW2Nka0NvbWJvYm94UGFuZWxdJyxcbiAgZXhwb3J0QXM6ICdjZGtDb21ib2JveFBhbmVsJyxcbiAgcHJvdmlkZXJzOiBbe3Byb3ZpZGU6IENES19MSVNUQk9YX1BBTkVMLCB1c2VFeGlzdGluZzogQ2RrQ29tYm9ib3hQYW5lbH1dLFxufSlcbmV4cG9ydCBjbGFzcyBDZGtDb21ib2JveFBhbmVsPFQgPSB1bmtub3duPiB7XG4gIC8qKiBFbWl0cyB3aGVuIHRoZSBjb250ZW50IG9mIHRoZSBwYW5lbCBoYXMgdXBkYXRlZCB0aGUgdmFsdWUgb2YgdGhlIGNvbWJvYm94LiAqL1xuICByZWFkb25seSB2YWx1ZVVwZGF0ZWQgPSBuZXcgU3ViamVjdDxUIHwgVFtdPigpO1xuXG4gIC8qKiBFbWl0cyB3aGVuIHRoZSBjb250ZW50IG9mIHRoZSBwYW5lbCBoYXMgYXNrZWQgZm9yIHRoZSBwYW5lbCB0byBiZSBjbG9zZWQuICovXG4gIHJlYWRvbmx5IGNsb3NlUmVxdWVzdGVkID0gbmV3IFN1YmplY3Q8dm9pZD4oKTtcblxuICAvKiogVHlwZSBvZiB0aGUgY29udGVudCBvZiB0aGUgcGFuZWwsIHVzZWQgZm9yIHRoZSBgYXJpYS1oYXNwb3B1cGAgYXR0cmlidXRlIG9mIHRoZSBjb21ib2JveC4gKi9cbiAgQElucHV0KCdjZGtDb21ib2JveFBhbmVsVHlwZScpIGNvbnRlbnRUeXBlOiBBcmlhSGFzUG9wdXBWYWx1ZSA9ICdsaXN0Ym94JztcblxuICAvKiogSUQgb2YgdGhlIGVsZW1lbnQgdGhhdCByZW5kZXJzIHRoZSBjb250ZW50IG9mIHRoZSBwYW5lbCwgaWYgaXQgaXMgb3Blbi4gKi9cbiAgY29udGVudElkOiBzdHJpbmcgPSAnJztcblxuICAvKiogRWxlbWVudCB0aGF0IHJlbmRlcnMgdGhlIGNvbnRlbnQgb2YgdGhlIHBhbmVsLCBpZiBpdCBpcyBvcGVuLiAqL1xuICBwcml2YXRlIF9jb250ZW50RWxlbWVudDogSFRNTEVsZW1lbnQgfCBudWxsID0gbnVsbDtcblxuICAvKiogV2hldGhlciB0aGUgY29udGVudCBzaG91bGQgYmUgZm9jdXNlZCBhcyBzb29uIGFzIGl0IGlzIHJlZ2lzdGVyZWQuICovXG4gIHByaXZhdGUgX2ZvY3VzQ29udGVudE9uUmVnaXN0ZXIgPSBmYWxzZTtcblxuICBjb25zdHJ1Y3RvcihyZWFkb25seSBfdGVtcGxhdGVSZWY6IFRlbXBsYXRlUmVmPHVua25vd24+KSB7fVxuXG4gIC8qKlxuICAgKiBVcGRhdGVzIHRoZSB2YWx1ZSBvZiB0aGUgY29tYm9ib3ggd2l0aG91dCBjbG9zaW5nIHRoZSBwYW5lbC5cbiAgICogQHBhcmFtIGRhdGEgVmFsdWUgdGhhdCBzaG91bGQgYmUgcGFzc2VkIHRvIHRoZSBjb21ib2JveC5cbiAgICovXG4gIHVwZGF0ZVZhbHVlKGRhdGE6IFQgfCBUW10pIHtcbiAgICB0aGlzLnZhbHVlVXBkYXRlZC5uZXh0KGRhdGEpO1xuICB9XG5cbiAgLyoqXG4gICAqIENsb3NlcyB0aGUgcGFuZWwsIG9wdGlvbmFsbHkgdXBkYXRpbmcgdGhlIHZhbHVlIG9mIHRoZSBjb21ib2JveC5cbiAgICogQHBhcmFtIGRhdGEgVmFsdWUgdGhhdCBzaG91bGQgYmUgcGFzc2VkIHRvIHRoZSBjb21ib2JveCBiZWZvcmUgY2xvc2luZy5cbiAgICovXG4gIGNsb3NlUGFuZWwoZGF0YT86IFQgfCBUW10pIHtcbiAgICBpZiAoZGF0YSAhPT0gdW5kZWZpbmVkKSB7XG4gICAgICB0aGlzLnVwZGF0ZVZhbHVlKGRhdGEpO1xuICAgIH1cblxuICAgIHRoaXMuY2xvc2VSZXF1ZXN0ZWQubmV4dCgpO1xuICB9XG5cbiAgLyoqIE1vdmVzIGZvY3VzIHRvIHRoZSBjb250ZW50IG9mIHRoZSBwYW5lbCwgb3Igb25jZSBpdCBpcyByZW5kZXJlZCBpZiBpdCBpc24ndCB5ZXQuICovXG4gIGZvY3VzQ29udGVudCgpIHtcbiAgICBpZiAodGhpcy5fY29udGVudEVsZW1lbnQpIHtcbiAgICAgIHRoaXMuX2NvbnRlbnRFbGVtZW50LmZvY3VzKCk7XG4gICAgfSBlbHNlIHtcbiAgICAgIHRoaXMuX2ZvY3VzQ29udGVudE9uUmVnaXN0ZXIgPSB0cnVlO1xuICAgIH1cbiAgfVxuXG4gIC8qKlxuICAgKiBSZWdpc3RlcnMgdGhlIGVsZW1lbnQgdGhhdCByZW5kZXJzIHRoZSBjb250ZW50IG9mIHRoZSBwYW5lbC5cbiAgICogQHBhcmFtIGVsZW1lbnQgRWxlbWVudCB0aGF0IHJlbmRlcnMgdGhlIGNvbnRlbnQuXG4gICAqIEBwYXJhbSBpZCBJRCBvZiB0aGUgZWxlbWVudC5cbiAgICogQHBhcmFtIGNvbnRlbnRUeXBlIFR5cGUgb2YgdGhlIGNvbnRlbnQsIGlmIGl0IGRpZmZlcnMgZnJvbSB0aGUgcGFuZWwncyB0eXBlLlxuICAgKiBAZG9jcy1wcml2YXRlXG4gICAqL1xuICBfcmVnaXN0ZXJDb250ZW50KGVsZW1lbnQ6IEhUTUxFbGVtZW50LCBpZDogc3RyaW5nLCBjb250ZW50VHlwZT86IEFyaWFIYXNQb3B1cFZhbHVlKSB7XG4gICAgdGhpcy5fY29udGVudEVsZW1lbnQgPSBlbGVtZW50O1xuICAgIHRoaXMuY29udGVudElkID0gaWQ7XG5cbiAgICBpZiAoY29udGVudFR5cGUpIHtcbiAgICAgIHRoaXMuY29udGVudFR5cGUgPSBjb250ZW50VHlwZTtcbiAgICB9XG5cbiAgICBpZiAodGhpcy5fZm9jdXNDb250ZW50T25SZWdpc3Rlcikge1xuICAgICAgdGhpcy5fZm9jdXNDb250ZW50T25SZWdpc3RlciA9IGZhbHNlO1xuICAgICAgZWxlbWVudC5mb2N1cygpO1xuICAgIH1cbiAgfVxuXG4gIC8qKlxuICAgKiBSZW1vdmVzIHRoZSByZWZlcmVuY2UgdG8gdGhlIGNvbnRlbnQgb2YgdGhlIHBhbmVsIG9uY2UgaXQgaXMgZGVzdHJveWVkLlxuICAgKiBAZG9jcy1wcml2YXRlXG4gICAqL1xuICBfdW5yZWdpc3RlckNvbnRlbnQoZWxlbWVudDogSFRNTEVsZW1lbnQpIHtcbiAgICBpZiAodGhpcy5fY29udGVudEVsZW1lbnQgPT09IGVsZW1lbnQpIHtcbiAgICAgIHRoaXMuX2NvbnRlbnRFbGVtZW50ID0gbnVsbDtcbiAgICAgIHRoaXMuY29udGVudElkID0gJyc7XG4gICAgfVxuICB9XG5cbiAgLyoqXG4gICAqIFJlc2V0cyB0aGUgc3RhdGUgdGhhdCB3YXMgdGllZCB0byB0aGUgbW9zdCByZWNlbnQgdGltZSB0aGUgcGFuZWwgd2FzIG9wZW5lZC5cbiAgICogQGRvY3MtcHJpdmF0ZVxuICAgKi9cbiAgX3Jlc2V0KCkge1xuICAgIHRoaXMuX2ZvY3VzQ29udGVudE9uUmVnaXN0ZXIgPSBmYWxzZTtcbiAgfVxufVxuIl19
\ No newline at end of file
@@ -0,0 +1,68 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { Directive, ElementRef, Input, Optional } from '@angular/core';
+import { CdkComboboxPanel } from './combobox-panel';
+/** Counter used to create unique IDs for combobox popups. */
+let nextId = 0;
+/**
+ * Directive that marks an element inside of a `cdkComboboxPanel` as the popup of the combobox.
+ * Can be used for popup content other than a `cdkListbox`, e.g. a dialog or a grid.
+ */
+export class CdkComboboxPopup {
+    constructor(_elementRef, _injectedPanel) {
+        this._elementRef = _elementRef;
+        this._injectedPanel = _injectedPanel;
+        /** Role of the popup. */
+        this.role = 'dialog';
+        /** Unique ID of the popup. */
+        this.id = `cdk-combobox-popup-${nextId++}`;
+        /**
+         * Panel that the popup is rendered in. Only has to be set if the panel
+         * can't be injected, e.g. when the app is using View Engine.
+         */
+        this.panel = null;
+    }
+    ngOnInit() {
+        const panel = this._getPanel();
+        if (panel) {
+            panel._registerContent(this._elementRef.nativeElement, this.id, this.role);
+        }
+    }
+    ngOnDestroy() {
+        const panel = this._getPanel();
+        if (panel) {
+            panel._unregisterContent(this._elementRef.nativeElement);
+        }
+    }
+    /** Gets the panel that the popup is rendered in. */
+    _getPanel() {
+        return this._injectedPanel || this.panel;
+    }
+}
+CdkComboboxPopup.decorators = [
+    { type: Directive, args: [{
+                selector: '[cdkComboboxPopup]',
+                exportAs: 'cdkComboboxPopup',
+                host: {
+                    'class': 'cdk-combobox-popup',
+                    'tabindex': '-1',
+                    '[attr.role]': 'role',
+                    '[id]': 'id',
+                },
+            },] }
+];
+CdkComboboxPopup.ctorParameters = () => [
+    { type: ElementRef },
+    { type: CdkComboboxPanel, decorators: [{ type: Optional }] }
+];
+CdkComboboxPopup.propDecorators = {
+    role: [{ type: Input, args: ['cdkComboboxPopupRole',] }],
+    id: [{ type: Input }],
+    panel: [{ type: Input, args: ['cdkComboboxPanel',] }]
+};
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiY29tYm9ib3gtcG9wdXAuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyIuLi8uLi8uLi8uLi8uLi8uLi9zcmMvY2RrL2NvbWJvYm94L2NvbWJvYm94LXBvcHVwLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBOzs7Ozs7R0FNRztBQUVILE9BQU8sRUFBQyxTQUFTLEVBQUUsVUFBVSxFQUFFLEtBQUssRUFBcUIsUUFBUSxFQUFDLE1BQU0sZUFBZSxDQUFDO0FBQ3hGLE9BQU8sRUFBb0IsZ0JBQWdCLEVBQUMsTUFBTSxrQkFBa0IsQ0FBQztBQUVyRSw2REFBNkQ7QUFDN0QsSUFBSSxNQUFNLEdBQUcsQ0FBQyxDQUFDO0FBRWY7OztHQUdHO0FBV0gsTUFBTSxPQUFPLGdCQUFnQjtJQWEzQixZQUNtQixXQUFvQyxFQUN4QixjQUFvQztRQURoRCxnQkFBVyxHQUFYLFdBQVcsQ0FBeUI7UUFDeEIsbUJBQWMsR0FBZCxjQUFjLENBQXNCO1FBZG5FLHlCQUF5QjtRQUNNLFNBQUksR0FBc0IsUUFBUSxDQUFDO1FBRWxFLDhCQUE4QjtRQUNyQixPQUFFLEdBQVcsc0JBQXNCLE1BQU0sRUFBRSxFQUFFLENBQUM7UUFFdkQ7OztXQUdHO1FBQ3dCLFVBQUssR0FBK0IsSUFBSSxDQUFDO0lBSUUsQ0FBQztJQUV2RSxRQUFRO1FBQ04sTUFBTSxLQUFLLEdBQUcsSUFBSSxDQUFDLFNBQVMsRUFBRSxDQUFDO1FBRS9CLElBQUksS0FBSyxFQUFFO1lBQ1QsS0FBSyxDQUFDLGdCQUFnQixDQUFDLElBQUksQ0FBQyxXQUFXLENBQUMsYUFBYSxFQUFFLElBQUksQ0FBQyxFQUFFLEVBQUUsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDO1NBQzVFO0lBQ0gsQ0FBQztJQUVELFdBQVc7UUFDVCxNQUFNLEtBQUssR0FBRyxJQUFJLENBQUMsU0FBUyxFQUFFLENBQUM7UUFFL0IsSUFBSSxLQUFLLEVBQUU7WUFDVCxLQUFLLENBQUMsa0JBQWtCLENBQUMsSUFBSSxDQUFDLFdBQVcsQ0FBQyxhQUFhLENBQUMsQ0FBQztTQUMxRDtJQUNILENBQUM7SUFFRCxvREFBb0Q7SUFDNUMsU0FBUztRQUNmLE9BQU8sSUFBSSxDQUFDLGNBQWMsSUFBSSxJQUFJLENBQUMsS0FBSyxDQUFDO0lBQzNDLENBQUM7OztZQTlDRixTQUFTLFNBQUM7Z0JBQ1QsUUFBUSxFQUFFLG9CQUFvQjtnQkFDOUIsUUFBUSxFQUFFLGtCQUFrQjtnQkFDNUIsSUFBSSxFQUFFO29CQUNKLE9BQU8sRUFBRSxvQkFBb0I7b0JBQzdCLFVBQVUsRUFBRSxJQUFJO29CQUNoQixhQUFhLEVBQUUsTUFBTTtvQkFDckIsTUFBTSxFQUFFLElBQUk7aUJBQ2I7YUFDRjs7O1lBbkJrQixVQUFVO1lBQ0YsZ0JBQWdCLHVCQWtDdEMsUUFBUTs7O21CQWJWLEtBQUssU0FBQyxzQkFBc0I7aUJBRzVCLEtBQUs7b0JBTUwsS0FBSyxTQUFDLGtCQUFrQiIsInNvdXJjZXNDb250ZW50IjpbIi8qKlxuICogQGxpY2Vuc2VcbiAqIENvcHlyaWdodCBHb29nbGUgTExDIEFsbCBSaWdodHMgUmVzZXJ2ZWQuXG4gKlxuICogVXNlIG9mIHRoaXMgc291cmNlIGNvZGUgaXMgZ292ZXJuZWQgYnkgYW4gTUlULXN0eWxlIGxpY2Vuc2UgdGhhdCBjYW4gYmVcbiAqIGZvdW5kIGluIHRoZSBMSUNFTlNFIGZpbGUgYXQgaHR0cHM6Ly9hbmd1bGFyLmlvL2xpY2Vuc2VcbiAqL1xuXG5pbXBvcnQge0RpcmVjdGl2ZSwgRWxlbWVudFJlZiwgSW5wdXQsIE9uRGVzdHJveSwgT25Jbml0LCBPcHRpb25hbH0gZnJvbSAnQGFuZ3VsYXIvY29yZSc7XG5pbXBvcnQge0FyaWFIYXNQb3B1cFZhbHVlLCBDZGtDb21ib2JveFBhbmVsfSBmcm9tICcuL2NvbWJvYm94LXBhbmVsJztcblxuLyoqIENvdW50ZXIgdXNlZCB0byBjcmVhdGUgdW5pcXVlIElEcyBmb3IgY29tYm9ib3ggcG9wdXBzLiAqL1xubGV0IG5leHRJZCA9IDA7XG5cbi8qKlxuICogRGlyZWN0aXZlIHRoYXQgbWFya3MgYW4gZWxlbWVudCBpbnNpZGUgb2YgYSBgY2RrQ29tYm9ib3hQYW5lbGAgYXMgdGhlIHBvcHVwIG9mIHRoZSBjb21ib2JveC5cbiAqIENhbiBiZSB1c2VkIGZvciBwb3B1cCBjb250ZW50IG90aGVyIHRoYW4gYSBgY2RrTGlzdGJveGAsIGUuZy4gYSBkaWFsb2cgb3IgYSBncmlkLlxuICovXG5ARGlyZWN0aXZlKHtcbiAgc2VsZWN0b3I6ICdbY2RrQ29tYm9ib3hQb3B1cF0nLFxuICBleHBvcnRBczogJ2Nka0NvbWJvYm94UG9wdXAnLFxuICBob3N0OiB7XG4gICAgJ2NsYXNzJzogJ2Nkay1jb21ib2JveC1wb3B1cCcsXG4gICAgJ3RhYmluZGV4JzogJy0xJyxcbiAgICAnW2F0dHIucm9sZV0nOiAncm9sZScsXG4gICAgJ1tpZF0nOiAnaWQnLFxuICB9LFxufSlcbmV4cG9ydCBjbGFzcyBDZGtDb21ib2JveFBvcHVwPFQgPSB1bmtub3duPiBpbXBsZW1lbnRzIE9uSW5pdCwgT25EZXN0cm95IHtcbiAgLyoqIFJvbGUgb2YgdGhlIHBvcHVwLiAqL1xuICBASW5wdXQoJ2Nka0NvbWJvYm94UG9wdXBSb2xlJykgcm9sZTogQXJpYUhhc1BvcHVwVmFsdWUgPSAnZGlhbG9nJztcblxuICAvKiogVW5pcXVlIElEIG9mIHRoZSBwb3B1cC4gKi9cbiAgQElucHV0KCkgaWQ6IHN0cmluZyA9IGBjZGstY29tYm9ib3gtcG9wdXAtJHtuZXh0SWQrK31gO1xuXG4gIC8qKlxuICAgKiBQYW5lbCB0aGF0IHRoZSBwb3B1cCBpcyByZW5kZXJlZCBpbi4gT25seSBoYXMgdG8gYmUgc2V0IGlmIHRoZSBwYW5lbFxuICAgKiBjYW4ndCBiZSBpbmplY3RlZCwgZS5nLiB3aGVuIHRoZSBhcHAgaXMgdXNpbmcgVmlldyBFbmdpbmUuXG4gICAqL1xuICBASW5wdXQoJ2Nka0NvbWJvYm94UGFuZWwnKSBwYW5lbDogQ2RrQ29tYm9ib3hQYW5lbDxUPiB8IG51bGwgPSBudWxsO1xuXG4gIGNvbnN0cnVjdG9yKFxuICAgIHByaXZhdGUgcmVhZG9ubHkgX2VsZW1lbnRSZWY6IEVsZW1lbnRSZWY8SFRNTEVsZW1lbnQ+LFxuICAgIEBPcHRpb25hbCgpIHByaXZhdGUgcmVhZG9ubHkgX2luamVjdGVkUGFuZWw/OiBDZGtDb21ib2JveFBhbmVsPFQ+KSB7fVxuXG4gIG5nT25Jbml0KCkge1xuICAgIGNvbnN0IHBhbmVsID0gdGhpcy5fZ2V0UGFuZWwoKTtcblxuICAgIGlmIChwYW5lbCkge1xuICAgICAgcGFuZWwuX3JlZ2lzdGVyQ29udGVudCh0aGlzLl9lbGVtZW50UmVmLm5hdGl2ZUVsZW1lbnQsIHRoaXMuaWQsIHRoaXMucm9sZSk7XG4gICAgfVxuICB9XG5cbiAgbmdPbkRlc3Ryb3koKSB7XG4gICAgY29uc3QgcGFuZWwgPSB0aGlzLl9nZXRQYW5lbCgpO1xuXG4gICAgaWYgKHBhbmVsKSB7XG4gICAgICBwYW5lbC5fdW5yZWdpc3RlckNvbnRlbnQodGhpcy5fZWxlbWVudFJlZi5uYXRpdmVFbGVtZW50KTtcbiAgICB9XG4gIH1cblxuICAvKiogR2V0cyB0aGUgcGFuZWwgdGhhdCB0aGUgcG9wdXAgaXMgcmVuZGVyZWQgaW4uICovXG4gIHByaXZhdGUgX2dldFBhbmVsKCk6IENka0NvbWJvYm94UGFuZWw8VD4gfCBudWxsIHtcbiAgICByZXR1cm4gdGhpcy5faW5qZWN0ZWRQYW5lbCB8fCB0aGlzLnBhbmVsO1xuICB9XG59XG4iXX0=
\ No newline at end of file
@@ -0,0 +1,308 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { Directionality } from '@angular/cdk/bidi';
+import { coerceArray, coerceBooleanProperty } from '@angular/cdk/coercion';
+import { DOWN_ARROW, ENTER, ESCAPE, hasModifierKey, TAB } from '@angular/cdk/keycodes';
+import { Overlay, OverlayConfig, } from '@angular/cdk/overlay';
+import { TemplatePortal } from '@angular/cdk/portal';
+import { Directive, ElementRef, EventEmitter, Input, Optional, Output, ViewContainerRef, } from '@angular/core';
+import { merge, Subject } from 'rxjs';
+import { takeUntil } from 'rxjs/operators';
+/** Positions of the popup of a combobox. */
+const POPUP_POSITIONS = [
+    { originX: 'start', originY: 'bottom', overlayX: 'start', overlayY: 'top' },
+    { originX: 'start', originY: 'top', overlayX: 'start', overlayY: 'bottom' },
+    { originX: 'end', originY: 'bottom', overlayX: 'end', overlayY: 'top' },
+    { originX: 'end', originY: 'top', overlayX: 'end', overlayY: 'bottom' },
+];
+/**
+ * Directive that turns an element into a combobox which opens a `cdkComboboxPanel` inside of an
+ * overlay. The content of the panel, e.g. a `cdkListbox`, hands its value back to the combobox
+ * through the panel. Takes care of the `aria-expanded`, `aria-controls` and `aria-haspopup`
+ * attributes of the combobox.
+ */
+export class CdkCombobox {
+    constructor(_elementRef, _overlay, _viewContainerRef, _directionality) {
+        this._elementRef = _elementRef;
+        this._overlay = _overlay;
+        this._viewContainerRef = _viewContainerRef;
+        this._directionality = _directionality;
+        this._panel = null;
+        /** Value of the combobox. */
+        this.value = null;
+        this._disabled = false;
+        this._openActions = ['click'];
+        this._autoSetText = true;
+        /** Emits when the popup is opened. */
+        this.opened = new EventEmitter();
+        /** Emits when the popup is closed. */
+        this.closed = new EventEmitter();
+        /** Emits the values of the combobox when they are changed by the content of the popup. */
+        this.panelValueChanged = new EventEmitter();
+        /** Reference to the overlay that renders the popup. */
+        this._overlayRef = null;
+        /** Portal used to render the content of the panel. */
+        this._panelContent = null;
+        /** Whether the combobox is being focused programmatically and shouldn't open on focus. */
+        this._isRestoringFocus = false;
+        /** Emits when the panel of the combobox changes. */
+        this._panelChanged = new Subject();
+        /** Emits when the popup is closed. */
+        this._popupClosed = new Subject();
+        /** Emits when the combobox is destroyed. */
+        this._destroyed = new Subject();
+    }
+    /** Panel that is opened by the combobox. */
+    get panel() { return this._panel; }
+    set panel(panel) {
+        if (panel !== this._panel) {
+            this.close();
+            this._panelChanged.next();
+            this._panel = panel;
+            if (panel) {
+                this._subscribeToPanel(panel);
+            }
+        }
+    }
+    /** Whether the combobox is disabled. */
+    get disabled() { return this._disabled; }
+    set disabled(value) {
+        this._disabled = coerceBooleanProperty(value);
+    }
+    /** Interactions that open the popup. */
+    get openActions() { return this._openActions; }
+    set openActions(action) {
+        this._openActions = this._coerceOpenActionProperty(action);
+    }
+    /**
+     * Whether the text of the combobox should be updated when its value changes.
+     * Only applies to comboboxes that are `input` elements.
+     */
+    get autoSetText() { return this._autoSetText; }
+    set autoSetText(value) {
+        this._autoSetText = coerceBooleanProperty(value);
+    }
+    ngOnDestroy() {
+        if (this._overlayRef) {
+            this._overlayRef.dispose();
+            this._overlayRef = null;
+        }
+        this._panelChanged.complete();
+        this._popupClosed.complete();
+        this._destroyed.next();
+        this._destroyed.complete();
+    }
+    /** Whether the popup is open. */
+    isOpen() {
+        return !!this._overlayRef && this._overlayRef.hasAttached();
+    }
+    /** Toggles the open state of the popup. */
+    toggle() {
+        this.isOpen() ? this.close() : this.open();
+    }
+    /** Opens the popup. */
+    open() {
+        const panel = this._panel;
+        if (this.disabled || !panel || this.isOpen()) {
+            return;
+        }
+        if (!this._overlayRef) {
+            this._overlayRef = this._overlay.create(this._getOverlayConfig());
+        }
+        else {
+            // The size of the combobox may have changed since the last time the popup was opened.
+            this._overlayRef.updateSize({ minWidth: this._getOverlayMinWidth() });
+        }
+        if (!this._panelContent || this._panelContent.templateRef !== panel._templateRef) {
+            this._panelContent = new TemplatePortal(panel._templateRef, this._viewContainerRef);
+        }
+        panel._reset();
+        this._overlayRef.attach(this._panelContent);
+        this._subscribeToOutsideClicks();
+        this.opened.next();
+    }
+    /** Closes the popup. */
+    close() {
+        if (this.isOpen()) {
+            this._popupClosed.next();
+            this._overlayRef.detach();
+            this.closed.next();
+        }
+    }
+    /** Handles the interactions which can open the popup. */
+    _handleInteractions(interaction) {
+        if (interaction === 'focus' && this._isRestoringFocus) {
+            return;
+        }
+        if (interaction === 'click' && this._openActions.indexOf('toggle') > -1) {
+            this.toggle();
+        }
+        else if (this._openActions.indexOf(interaction) > -1) {
+            this.open();
+        }
+    }
+    /** Handles keyboard events on the combobox. */
+    _keydown(event) {
+        if (hasModifierKey(event)) {
+            return;
+        }
+        const panel = this._panel;
+        switch (event.keyCode) {
+            case DOWN_ARROW:
+                if (this.isOpen() || this._openActions.indexOf('downKey') > -1) {
+                    event.preventDefault();
+                    this.open();
+                    if (panel && this.isOpen()) {
+                        panel.focusContent();
+                    }
+                }
+                break;
+            case ENTER:
+                // Prevent the default action so that buttons don't dispatch a click event as well.
+                if (this._openActions.indexOf('toggle') > -1) {
+                    event.preventDefault();
+                    this.toggle();
+                }
+                else if (this._openActions.indexOf('click') > -1 && !this.isOpen()) {
+                    event.preventDefault();
+                    this.open();
+                }
+                break;
+            case ESCAPE:
+                if (this.isOpen()) {
+                    event.preventDefault();
+                    this.close();
+                }
+                break;
+            case TAB:
+                this.close();
+                break;
+        }
+    }
+    /** Gets the ID of the element that the combobox controls, if the popup is open. */
+    _getControlledId() {
+        return this.isOpen() && this._panel && this._panel.contentId ? this._panel.contentId : null;
+    }
+    /** Gets the type of the popup of the combobox. */
+    _getPopupType() {
+        return this._panel ? this._panel.contentType : null;
+    }
+    /** Gets the tabindex of the combobox. */
+    _getTabIndex() {
+        return this.disabled ? null : '0';
+    }
+    /** Updates the value of the combobox, and the text of the combobox if necessary. */
+    _setComboboxValue(value) {
+        const valueChanged = this.value !== value;
+        this.value = value;
+        if (valueChanged) {
+            this.panelValueChanged.emit(coerceArray(value));
+            if (this._autoSetText) {
+                this._setTextContent();
+            }
+        }
+    }
+    /** Updates the text of an input element based on the value of the combobox. */
+    _setTextContent() {
+        const element = this._elementRef.nativeElement;
+        if (element.nodeName.toLowerCase() === 'input') {
+            const values = this.value == null ? [] : coerceArray(this.value);
+            element.value = values.join(', ');
+        }
+    }
+    /** Moves focus back to the combobox without opening the popup. */
+    _restoreFocus() {
+        this._isRestoringFocus = true;
+        this._elementRef.nativeElement.focus();
+        this._isRestoringFocus = false;
+    }
+    /** Listens for the events through which the content of the panel talks to the combobox. */
+    _subscribeToPanel(panel) {
+        const stop = merge(this._panelChanged, this._destroyed);
+        panel.valueUpdated.pipe(takeUntil(stop)).subscribe(value => this._setComboboxValue(value));
+        panel.closeRequested.pipe(takeUntil(stop)).subscribe(() => {
+            if (this.isOpen()) {
+                this.close();
+                this._restoreFocus();
+            }
+        });
+    }
+    /** Closes the popup when the user clicks outside of it and the combobox. */
+    _subscribeToOutsideClicks() {
+        this._overlayRef.outsidePointerEvents()
+            .pipe(takeUntil(merge(this._popupClosed, this._destroyed)))
+            .subscribe(event => {
+            if (!this._elementRef.nativeElement.contains(event.target)) {
+                this.close();
+            }
+        });
+    }
+    /** Gets the configuration for the overlay that renders the popup. */
+    _getOverlayConfig() {
+        return new OverlayConfig({
+            positionStrategy: this._getOverlayPositionStrategy(),
+            scrollStrategy: this._overlay.scrollStrategies.reposition(),
+            direction: this._directionality,
+            minWidth: this._getOverlayMinWidth(),
+        });
+    }
+    /** Gets the strategy that positions the popup next to the combobox. */
+    _getOverlayPositionStrategy() {
+        return this._overlay.position()
+            .flexibleConnectedTo(this._elementRef)
+            .withPositions(POPUP_POSITIONS);
+    }
+    /** Gets the minimum width of the popup so that it's at least as wide as the combobox. */
+    _getOverlayMinWidth() {
+        return this._elementRef.nativeElement.getBoundingClientRect().width;
+    }
+    /** Coerces the open actions into an array of valid actions. */
+    _coerceOpenActionProperty(input) {
+        const actions = typeof input === 'string' ? input.trim().split(/[ ,]+/) : input;
+        if ((typeof ngDevMode === 'undefined' || ngDevMode) && actions &&
+            actions.some(a => ['focus', 'click', 'downKey', 'toggle'].indexOf(a) === -1)) {
+            throw Error(`${input} is not a supported open action for CdkCombobox`);
+        }
+        return (actions || []);
+    }
+}
+CdkCombobox.decorators = [
+    { type: Directive, args: [{
+                selector: '[cdkCombobox]',
+                exportAs: 'cdkCombobox',
+                host: {
+                    'role': 'combobox',
+                    'class': 'cdk-combobox',
+                    '(click)': '_handleInteractions("click")',
+                    '(focus)': '_handleInteractions("focus")',
+                    '(keydown)': '_keydown($event)',
+                    '[attr.aria-disabled]': 'disabled || null',
+                    '[attr.aria-controls]': '_getControlledId()',
+                    '[attr.aria-haspopup]': '_getPopupType()',
+                    '[attr.aria-expanded]': 'isOpen()',
+                    '[attr.tabindex]': '_getTabIndex()',
+                },
+            },] }
+];
+CdkCombobox.ctorParameters = () => [
+    { type: ElementRef },
+    { type: Overlay },
+    { type: ViewContainerRef },
+    { type: Directionality, decorators: [{ type: Optional }] }
+];
+CdkCombobox.propDecorators = {
+    panel: [{ type: Input, args: ['cdkComboboxTriggerFor',] }],
+    value: [{ type: Input, args: ['cdkComboboxValue',] }],
+    disabled: [{ type: Input, args: ['cdkComboboxDisabled',] }],
+    openActions: [{ type: Input, args: ['cdkComboboxOpenActions',] }],
+    autoSetText: [{ type: Input, args: ['cdkComboboxAutoSetText',] }],
+    opened: [{ type: Output, args: ['cdkComboboxOpened',] }],
+    closed: [{ type: Output, args: ['cdkComboboxClosed',] }],
+    panelValueChanged: [{ type: Output, args: ['cdkComboboxPanelValueChanged',] }]
+};
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiY29tYm9ib3guanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyIuLi8uLi8uLi8uLi8uLi8uLi9zcmMvY2RrL2NvbWJvYm94L2NvbWJvYm94LnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBOzs7Ozs7R0FNRztBQUVILE9BQU8sRUFBQyxjQUFjLEVBQUMsTUFBTSxtQkFBbUIsQ0FBQztBQUNqRCxPQUFPLEVBQWUsV0FBVyxFQUFFLHFCQUFxQixFQUFDLE1BQU0sdUJBQXVCLENBQUM7QUFDdkYsT0FBTyxFQUFDLFVBQVUsRUFBRSxLQUFLLEVBQUUsTUFBTSxFQUFFLGNBQWMsRUFBRSxHQUFHLEVBQUMsTUFBTSx1QkFBdUIsQ0FBQztBQUNyRixPQUFPLEVBR0wsT0FBTyxFQUNQLGFBQWEsR0FFZCxNQUFNLHNCQUFzQixDQUFDO0FBQzlCLE9BQU8sRUFBQyxjQUFjLEVBQUMsTUFBTSxxQkFBcUIsQ0FBQztBQUNuRCxPQUFPLEVBQ0wsU0FBUyxFQUNULFVBQVUsRUFDVixZQUFZLEVBQ1osS0FBSyxFQUVMLFFBQVEsRUFDUixNQUFNLEVBQ04sZ0JBQWdCLEdBQ2pCLE1BQU0sZUFBZSxDQUFDO0FBQ3ZCLE9BQU8sRUFBQyxLQUFLLEVBQUUsT0FBTyxFQUFDLE1BQU0sTUFBTSxDQUFDO0FBQ3BDLE9BQU8sRUFBQyxTQUFTLEVBQUMsTUFBTSxnQkFBZ0IsQ0FBQztBQWV6Qyw0Q0FBNEM7QUFDNUMsTUFBTSxlQUFlLEdBQXdCO0lBQzNDLEVBQUMsT0FBTyxFQUFFLE9BQU8sRUFBRSxPQUFPLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBRSxPQUFPLEVBQUUsUUFBUSxFQUFFLEtBQUssRUFBQztJQUN6RSxFQUFDLE9BQU8sRUFBRSxPQUFPLEVBQUUsT0FBTyxFQUFFLEtBQUssRUFBRSxRQUFRLEVBQUUsT0FBTyxFQUFFLFFBQVEsRUFBRSxRQUFRLEVBQUM7SUFDekUsRUFBQyxPQUFPLEVBQUUsS0FBSyxFQUFFLE9BQU8sRUFBRSxRQUFRLEVBQUUsUUFBUSxFQUFFLEtBQUssRUFBRSxRQUFRLEVBQUUsS0FBSyxFQUFDO0lBQ3JFLEVBQUMsT0FBTyxFQUFFLEtBQUssRUFBRSxPQUFPLEVBQUUsS0FBSyxFQUFFLFFBQVEsRUFBRSxLQUFLLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBQztDQUN0RSxDQUFDO0FBRUY7Ozs7O0dBS0c7QUFpQkgsTUFBTSxPQUFPLFdBQVc7SUEyRXRCLFlBQ21CLFdBQW9DLEVBQ3BDLFFBQWlCLEVBQ2YsaUJBQW1DLEVBQ3pCLGVBQWdDO1FBSDVDLGdCQUFXLEdBQVgsV0FBVyxDQUF5QjtRQUNwQyxhQUFRLEdBQVIsUUFBUSxDQUFTO1FBQ2Ysc0JBQWlCLEdBQWpCLGlCQUFpQixDQUFrQjtRQUN6QixvQkFBZSxHQUFmLGVBQWUsQ0FBaUI7UUFoRXZELFdBQU0sR0FBK0IsSUFBSSxDQUFDO1FBRWxELDZCQUE2QjtRQUNGLFVBQUssR0FBbUIsSUFBSSxDQUFDO1FBUWhELGNBQVMsR0FBRyxLQUFLLENBQUM7UUFRbEIsaUJBQVksR0FBaUIsQ0FBQyxPQUFPLENBQUMsQ0FBQztRQVd2QyxpQkFBWSxHQUFHLElBQUksQ0FBQztRQUU1QixzQ0FBc0M7UUFDQSxXQUFNLEdBQXVCLElBQUksWUFBWSxFQUFFLENBQUM7UUFFdEYsc0NBQXNDO1FBQ0EsV0FBTSxHQUF1QixJQUFJLFlBQVksRUFBRSxDQUFDO1FBRXRGLDBGQUEwRjtRQUVqRixzQkFBaUIsR0FBc0IsSUFBSSxZQUFZLEVBQUUsQ0FBQztRQUVuRSx1REFBdUQ7UUFDL0MsZ0JBQVcsR0FBc0IsSUFBSSxDQUFDO1FBRTlDLHNEQUFzRDtRQUM5QyxrQkFBYSxHQUEwQixJQUFJLENBQUM7UUFFcEQsMEZBQTBGO1FBQ2xGLHNCQUFpQixHQUFHLEtBQUssQ0FBQztRQUVsQyxvREFBb0Q7UUFDbkMsa0JBQWEsR0FBRyxJQUFJLE9BQU8sRUFBUSxDQUFDO1FBRXJELHNDQUFzQztRQUNyQixpQkFBWSxHQUFHLElBQUksT0FBTyxFQUFRLENBQUM7UUFFcEQsNENBQTRDO1FBQzNCLGVBQVUsR0FBRyxJQUFJLE9BQU8sRUFBUSxDQUFDO0lBTWdCLENBQUM7SUE5RW5FLDRDQUE0QztJQUM1QyxJQUNJLEtBQUssS0FBaUMsT0FBTyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQztJQUMvRCxJQUFJLEtBQUssQ0FBQyxLQUFpQztRQUN6QyxJQUFJLEtBQUssS0FBSyxJQUFJLENBQUMsTUFBTSxFQUFFO1lBQ3pCLElBQUksQ0FBQyxLQUFLLEVBQUUsQ0FBQztZQUNiLElBQUksQ0FBQyxhQUFhLENBQUMsSUFBSSxFQUFFLENBQUM7WUFDMUIsSUFBSSxDQUFDLE1BQU0sR0FBRyxLQUFLLENBQUM7WUFFcEIsSUFBSSxLQUFLLEVBQUU7Z0JBQ1QsSUFBSSxDQUFDLGlCQUFpQixDQUFDLEtBQUssQ0FBQyxDQUFDO2FBQy9CO1NBQ0Y7SUFDSCxDQUFDO0lBTUQsd0NBQXdDO0lBQ3hDLElBQ0ksUUFBUSxLQUFjLE9BQU8sSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUM7SUFDbEQsSUFBSSxRQUFRLENBQUMsS0FBYztRQUN6QixJQUFJLENBQUMsU0FBUyxHQUFHLHFCQUFxQixDQUFDLEtBQUssQ0FBQyxDQUFDO0lBQ2hELENBQUM7SUFHRCx3Q0FBd0M7SUFDeEMsSUFDSSxXQUFXLEtBQW1CLE9BQU8sSUFBSSxDQUFDLFlBQVksQ0FBQyxDQUFDLENBQUM7SUFDN0QsSUFBSSxXQUFXLENBQUMsTUFBb0I7UUFDbEMsSUFBSSxDQUFDLFlBQVksR0FBRyxJQUFJLENBQUMseUJBQXlCLENBQUMsTUFBTSxDQUFDLENBQUM7SUFDN0QsQ0FBQztJQUdEOzs7T0FHRztJQUNILElBQ0ksV0FBVyxLQUFjLE9BQU8sSUFBSSxDQUFDLFlBQVksQ0FBQyxDQUFDLENBQUM7SUFDeEQsSUFBSSxXQUFXLENBQUMsS0FBYztRQUM1QixJQUFJLENBQUMsWUFBWSxHQUFHLHFCQUFxQixDQUFDLEtBQUssQ0FBQyxDQUFDO0lBQ25ELENBQUM7SUFxQ0QsV0FBVztRQUNULElBQUksSUFBSSxDQUFDLFdBQVcsRUFBRTtZQUNwQixJQUFJLENBQUMsV0FBVyxDQUFDLE9BQU8sRUFBRSxDQUFDO1lBQzNCLElBQUksQ0FBQyxXQUFXLEdBQUcsSUFBSSxDQUFDO1NBQ3pCO1FBRUQsSUFBSSxDQUFDLGFBQWEsQ0FBQyxRQUFRLEVBQUUsQ0FBQztRQUM5QixJQUFJLENBQUMsWUFBWSxDQUFDLFFBQVEsRUFBRSxDQUFDO1FBQzdCLElBQUksQ0FBQyxVQUFVLENBQUMsSUFBSSxFQUFFLENBQUM7UUFDdkIsSUFBSSxDQUFDLFVBQVUsQ0FBQyxRQUFRLEVBQUUsQ0FBQztJQUM3QixDQUFDO0lBRUQsaUNBQWlDO0lBQ2pDLE1BQU07UUFDSixPQUFPLENBQUMsQ0FBQyxJQUFJLENBQUMsV0FBVyxJQUFJLElBQUksQ0FBQyxXQUFXLENBQUMsV0FBVyxFQUFFLENBQUM7SUFDOUQsQ0FBQztJQUVELDJDQUEyQztJQUMzQyxNQUFNO1FBQ0osSUFBSSxDQUFDLE1BQU0sRUFBRSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsS0FBSyxFQUFFLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQztJQUM3QyxDQUFDO0lBRUQsdUJBQXVCO0lBQ3ZCLElBQUk7UUFDRixNQUFNLEtBQUssR0FBRyxJQUFJLENBQUMsTUFBTSxDQUFDO1FBRTFCLElBQUksSUFBSSxDQUFDLFFBQVEsSUFBSSxDQUFDLEtBQUssSUFBSSxJQUFJLENBQUMsTUFBTSxFQUFFLEVBQUU7WUFDNUMsT0FBTztTQUNSO1FBRUQsSUFBSSxDQUFDLElBQUksQ0FBQyxXQUFXLEVBQUU7WUFDckIsSUFBSSxDQUFDLFdBQVcsR0FBRyxJQUFJLENBQUMsUUFBUSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsaUJBQWlCLEVBQUUsQ0FBQyxDQUFDO1NBQ25FO2FBQU07WUFDTCxzRkFBc0Y7WUFDdEYsSUFBSSxDQUFDLFdBQVcsQ0FBQyxVQUFVLENBQUMsRUFBQyxRQUFRLEVBQUUsSUFBSSxDQUFDLG1CQUFtQixFQUFFLEVBQUMsQ0FBQyxDQUFDO1NBQ3JFO1FBRUQsSUFBSSxDQUFDLElBQUksQ0FBQyxhQUFhLElBQUksSUFBSSxDQUFDLGFBQWEsQ0FBQyxXQUFXLEtBQUssS0FBSyxDQUFDLFlBQVksRUFBRTtZQUNoRixJQUFJLENBQUMsYUFBYSxHQUFHLElBQUksY0FBYyxDQUFDLEtBQUssQ0FBQyxZQUFZLEVBQUUsSUFBSSxDQUFDLGlCQUFpQixDQUFDLENBQUM7U0FDckY7UUFFRCxLQUFLLENBQUMsTUFBTSxFQUFFLENBQUM7UUFDZixJQUFJLENBQUMsV0FBVyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsYUFBYSxDQUFDLENBQUM7UUFDNUMsSUFBSSxDQUFDLHlCQUF5QixFQUFFLENBQUM7UUFDakMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxJQUFJLEVBQUUsQ0FBQztJQUNyQixDQUFDO0lBRUQsd0JBQXdCO0lBQ3hCLEtBQUs7UUFDSCxJQUFJLElBQUksQ0FBQyxNQUFNLEVBQUUsRUFBRTtZQUNqQixJQUFJLENBQUMsWUFBWSxDQUFDLElBQUksRUFBRSxDQUFDO1lBQ3pCLElBQUksQ0FBQyxXQUFZLENBQUMsTUFBTSxFQUFFLENBQUM7WUFDM0IsSUFBSSxDQUFDLE1BQU0sQ0FBQyxJQUFJLEVBQUUsQ0FBQztTQUNwQjtJQUNILENBQUM7SUFFRCx5REFBeUQ7SUFDekQsbUJBQW1CLENBQUMsV0FBdUI7UUFDekMsSUFBSSxXQUFXLEtBQUssT0FBTyxJQUFJLElBQUksQ0FBQyxpQkFBaUIsRUFBRTtZQUNyRCxPQUFPO1NBQ1I7UUFFRCxJQUFJLFdBQVcsS0FBSyxPQUFPLElBQUksSUFBSSxDQUFDLFlBQVksQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLEdBQUcsQ0FBQyxDQUFDLEVBQUU7WUFDdkUsSUFBSSxDQUFDLE1BQU0sRUFBRSxDQUFDO1NBQ2Y7YUFBTSxJQUFJLElBQUksQ0FBQyxZQUFZLENBQUMsT0FBTyxDQUFDLFdBQVcsQ0FBQyxHQUFHLENBQUMsQ0FBQyxFQUFFO1lBQ3RELElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQztTQUNiO0lBQ0gsQ0FBQztJQUVELCtDQUErQztJQUMvQyxRQUFRLENBQUMsS0FBb0I7UUFDM0IsSUFBSSxjQUFjLENBQUMsS0FBSyxDQUFDLEVBQUU7WUFDekIsT0FBTztTQUNSO1FBRUQsTUFBTSxLQUFLLEdBQUcsSUFBSSxDQUFDLE1BQU0sQ0FBQztRQUUxQixRQUFRLEtBQUssQ0FBQyxPQUFPLEVBQUU7WUFDckIsS0FBSyxVQUFVO2dCQUNiLElBQUksSUFBSSxDQUFDLE1BQU0sRUFBRSxJQUFJLElBQUksQ0FBQyxZQUFZLENBQUMsT0FBTyxDQUFDLFNBQVMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxFQUFFO29CQUM5RCxLQUFLLENBQUMsY0FBYyxFQUFFLENBQUM7b0JBQ3ZCLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQztvQkFFWixJQUFJLEtBQUssSUFBSSxJQUFJLENBQUMsTUFBTSxFQUFFLEVBQUU7d0JBQzFCLEtBQUssQ0FBQyxZQUFZLEVBQUUsQ0FBQztxQkFDdEI7aUJBQ0Y7Z0JBQ0QsTUFBTTtZQUVSLEtBQUssS0FBSztnQkFDUixtRkFBbUY7Z0JBQ25GLElBQUksSUFBSSxDQUFDLFlBQVksQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLEdBQUcsQ0FBQyxDQUFDLEVBQUU7b0JBQzVDLEtBQUssQ0FBQyxjQUFjLEVBQUUsQ0FBQztvQkFDdkIsSUFBSSxDQUFDLE1BQU0sRUFBRSxDQUFDO2lCQUNmO3FCQUFNLElBQUksSUFBSSxDQUFDLFlBQVksQ0FBQyxPQUFPLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsTUFBTSxFQUFFLEVBQUU7b0JBQ3BFLEtBQUssQ0FBQyxjQUFjLEVBQUUsQ0FBQztvQkFDdkIsSUFBSSxDQUFDLElBQUksRUFBRSxDQUFDO2lCQUNiO2dCQUNELE1BQU07WUFFUixLQUFLLE1BQU07Z0JBQ1QsSUFBSSxJQUFJLENBQUMsTUFBTSxFQUFFLEVBQUU7b0JBQ2pCLEtBQUssQ0FBQyxjQUFjLEVBQUUsQ0FBQztvQkFDdkIsSUFBSSxDQUFDLEtBQUssRUFBRSxDQUFDO2lCQUNkO2dCQUNELE1BQU07WUFFUixLQUFLLEdBQUc7Z0JBQ04sSUFBSSxDQUFDLEtBQUssRUFBRSxDQUFDO2dCQUNiLE1BQU07U0FDVDtJQUNILENBQUM7SUFFRCxtRkFBbUY7SUFDbkYsZ0JBQWdCO1FBQ2QsT0FBTyxJQUFJLENBQUMsTUFBTSxFQUFFLElBQUksSUFBSSxDQUFDLE1BQU0sSUFBSSxJQUFJLENBQUMsTUFBTSxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQztJQUM5RixDQUFDO0lBRUQsa0RBQWtEO0lBQ2xELGFBQWE7UUFDWCxPQUFPLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsV0FBVyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUM7SUFDdEQsQ0FBQztJQUVELHlDQUF5QztJQUN6QyxZQUFZO1FBQ1YsT0FBTyxJQUFJLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQztJQUNwQyxDQUFDO0lBRUQsb0ZBQW9GO0lBQzVFLGlCQUFpQixDQUFDLEtBQWM7UUFDdEMsTUFBTSxZQUFZLEdBQUcsSUFBSSxDQUFDLEtBQUssS0FBSyxLQUFLLENBQUM7UUFDMUMsSUFBSSxDQUFDLEtBQUssR0FBRyxLQUFLLENBQUM7UUFFbkIsSUFBSSxZQUFZLEVBQUU7WUFDaEIsSUFBSSxDQUFDLGlCQUFpQixDQUFDLElBQUksQ0FBQyxXQUFXLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQztZQUVoRCxJQUFJLElBQUksQ0FBQyxZQUFZLEVBQUU7Z0JBQ3JCLElBQUksQ0FBQyxlQUFlLEVBQUUsQ0FBQzthQUN4QjtTQUNGO0lBQ0gsQ0FBQztJQUVELCtFQUErRTtJQUN2RSxlQUFlO1FBQ3JCLE1BQU0sT0FBTyxHQUFHLElBQUksQ0FBQyxXQUFXLENBQUMsYUFBYSxDQUFDO1FBRS9DLElBQUksT0FBTyxDQUFDLFFBQVEsQ0FBQyxXQUFXLEVBQUUsS0FBSyxPQUFPLEVBQUU7WUFDOUMsTUFBTSxNQUFNLEdBQUcsSUFBSSxDQUFDLEtBQUssSUFBSSxJQUFJLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsV0FBVyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQztZQUNoRSxPQUE0QixDQUFDLEtBQUssR0FBRyxNQUFNLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDO1NBQ3pEO0lBQ0gsQ0FBQztJQUVELGtFQUFrRTtJQUMxRCxhQUFhO1FBQ25CLElBQUksQ0FBQyxpQkFBaUIsR0FBRyxJQUFJLENBQUM7UUFDOUIsSUFBSSxDQUFDLFdBQVcsQ0FBQyxhQUFhLENBQUMsS0FBSyxFQUFFLENBQUM7UUFDdkMsSUFBSSxDQUFDLGlCQUFpQixHQUFHLEtBQUssQ0FBQztJQUNqQyxDQUFDO0lBRUQsMkZBQTJGO0lBQ25GLGlCQUFpQixDQUFDLEtBQTBCO1FBQ2xELE1BQU0sSUFBSSxHQUFHLEtBQUssQ0FBQyxJQUFJLENBQUMsYUFBYSxFQUFFLElBQUksQ0FBQyxVQUFVLENBQUMsQ0FBQztRQUV4RCxLQUFLLENBQUMsWUFBWSxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsaUJBQWlCLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQztRQUMzRixLQUFLLENBQUMsY0FBYyxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsR0FBRyxFQUFFO1lBQ3hELElBQUksSUFBSSxDQUFDLE1BQU0sRUFBRSxFQUFFO2dCQUNqQixJQUFJLENBQUMsS0FBSyxFQUFFLENBQUM7Z0JBQ2IsSUFBSSxDQUFDLGFBQWEsRUFBRSxDQUFDO2FBQ3RCO1FBQ0gsQ0FBQyxDQUFDLENBQUM7SUFDTCxDQUFDO0lBRUQsNEVBQTRFO0lBQ3BFLHlCQUF5QjtRQUMvQixJQUFJLENBQUMsV0FBWSxDQUFDLG9CQUFvQixFQUFFO2FBQ3JDLElBQUksQ0FBQyxTQUFTLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxZQUFZLEVBQUUsSUFBSSxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUM7YUFDMUQsU0FBUyxDQUFDLEtBQUssQ0FBQyxFQUFFO1lBQ2pCLElBQUksQ0FBQyxJQUFJLENBQUMsV0FBVyxDQUFDLGFBQWEsQ0FBQyxRQUFRLENBQUMsS0FBSyxDQUFDLE1BQWMsQ0FBQyxFQUFFO2dCQUNsRSxJQUFJLENBQUMsS0FBSyxFQUFFLENBQUM7YUFDZDtRQUNILENBQUMsQ0FBQyxDQUFDO0lBQ1AsQ0FBQztJQUVELHFFQUFxRTtJQUM3RCxpQkFBaUI7UUFDdkIsT0FBTyxJQUFJLGFBQWEsQ0FBQztZQUN2QixnQkFBZ0IsRUFBRSxJQUFJLENBQUMsMkJBQTJCLEVBQUU7WUFDcEQsY0FBYyxFQUFFLElBQUksQ0FBQyxRQUFRLENBQUMsZ0JBQWdCLENBQUMsVUFBVSxFQUFFO1lBQzNELFNBQVMsRUFBRSxJQUFJLENBQUMsZUFBZTtZQUMvQixRQUFRLEVBQUUsSUFBSSxDQUFDLG1CQUFtQixFQUFFO1NBQ3JDLENBQUMsQ0FBQztJQUNMLENBQUM7SUFFRCx1RUFBdUU7SUFDL0QsMkJBQTJCO1FBQ2pDLE9BQU8sSUFBSSxDQUFDLFFBQVEsQ0FBQyxRQUFRLEVBQUU7YUFDNUIsbUJBQW1CLENBQUMsSUFBSSxDQUFDLFdBQVcsQ0FBQzthQUNyQyxhQUFhLENBQUMsZUFBZSxDQUFDLENBQUM7SUFDcEMsQ0FBQztJQUVELHlGQUF5RjtJQUNqRixtQkFBbUI7UUFDekIsT0FBTyxJQUFJLENBQUMsV0FBVyxDQUFDLGFBQWEsQ0FBQyxxQkFBcUIsRUFBRSxDQUFDLEtBQUssQ0FBQztJQUN0RSxDQUFDO0lBRUQsK0RBQStEO0lBQ3ZELHlCQUF5QixDQUFDLEtBQXNCO1FBQ3RELE1BQU0sT0FBTyxHQUNULE9BQU8sS0FBSyxLQUFLLFFBQVEsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLElBQUksRUFBRSxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDO1FBRXBFLElBQUksQ0FBQyxPQUFPLFNBQVMsS0FBSyxXQUFXLElBQUksU0FBUyxDQUFDLElBQUksT0FBTztZQUMxRCxPQUFPLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxPQUFPLEVBQUUsT0FBTyxFQUFFLFNBQVMsRUFBRSxRQUFRLENBQUMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsRUFBRTtZQUNoRixNQUFNLEtBQUssQ0FBQyxHQUFHLEtBQUssaURBQWlELENBQUMsQ0FBQztTQUN4RTtRQUVELE9BQU8sQ0FBQyxPQUFPLElBQUksRUFBRSxDQUFpQixDQUFDO0lBQ3pDLENBQUM7OztZQXpURixTQUFTLFNBQUM7Z0JBQ1QsUUFBUSxFQUFFLGVBQWU7Z0JBQ3pCLFFBQVEsRUFBRSxhQUFhO2dCQUN2QixJQUFJLEVBQUU7b0JBQ0osTUFBTSxFQUFFLFVBQVU7b0JBQ2xCLE9BQU8sRUFBRSxjQUFjO29CQUN2QixTQUFTLEVBQUUsOEJBQThCO29CQUN6QyxTQUFTLEVBQUUsOEJBQThCO29CQUN6QyxXQUFXLEVBQUUsa0JBQWtCO29CQUMvQixzQkFBc0IsRUFBRSxrQkFBa0I7b0JBQzFDLHNCQUFzQixFQUFFLG9CQUFvQjtvQkFDNUMsc0JBQXNCLEVBQUUsaUJBQWlCO29CQUN6QyxzQkFBc0IsRUFBRSxVQUFVO29CQUNsQyxpQkFBaUIsRUFBRSxnQkFBZ0I7aUJBQ3BDO2FBQ0Y7OztZQXJEQyxVQUFVO1lBUFYsT0FBTztZQWFQLGdCQUFnQjtZQW5CVixjQUFjLHVCQWtKakIsUUFBUTs7O29CQTdFVixLQUFLLFNBQUMsdUJBQXVCO29CQWdCN0IsS0FBSyxTQUFDLGtCQUFrQjt1QkFHeEIsS0FBSyxTQUFDLHFCQUFxQjswQkFRM0IsS0FBSyxTQUFDLHdCQUF3QjswQkFXOUIsS0FBSyxTQUFDLHdCQUF3QjtxQkFROUIsTUFBTSxTQUFDLG1CQUFtQjtxQkFHMUIsTUFBTSxTQUFDLG1CQUFtQjtnQ0FHMUIsTUFBTSxTQUFDLDhCQUE4QiIsInNvdXJjZXNDb250ZW50IjpbIi8qKlxuICogQGxpY2Vuc2VcbiAqIENvcHlyaWdodCBHb29nbGUgTExDIEFsbCBSaWdodHMgUmVzZXJ2ZWQuXG4gKlxuICogVXNlIG9mIHRoaXMgc291cmNlIGNvZGUgaXMgZ292ZXJuZWQgYnkgYW4gTUlULXN0eWxlIGxpY2Vuc2UgdGhhdCBjYW4gYmVcbiAqIGZvdW5kIGluIHRoZSBMSUNFTlNFIGZpbGUgYXQgaHR0cHM6Ly9hbmd1bGFyLmlvL2xpY2Vuc2VcbiAqL1xuXG5pbXBvcnQge0RpcmVjdGlvbmFsaXR5fSBmcm9tICdAYW5ndWxhci9jZGsvYmlkaSc7XG5pbXBvcnQge0Jvb2xlYW5JbnB1dCwgY29lcmNlQXJyYXksIGNvZXJjZUJvb2xlYW5Qcm9wZXJ0eX0gZnJvbSAnQGFuZ3VsYXIvY2RrL2NvZXJjaW9uJztcbmltcG9ydCB7RE9XTl9BUlJPVywgRU5URVIsIEVTQ0FQRSwgaGFzTW9kaWZpZXJLZXksIFRBQn0gZnJvbSAnQGFuZ3VsYXIvY2RrL2tleWNvZGVzJztcbmltcG9ydCB7XG4gIENvbm5lY3RlZFBvc2l0aW9uLFxuICBGbGV4aWJsZUNvbm5lY3RlZFBvc2l0aW9uU3RyYXRlZ3ksXG4gIE92ZXJsYXksXG4gIE92ZXJsYXlDb25maWcsXG4gIE92ZXJsYXlSZWYsXG59IGZyb20gJ0Bhbmd1bGFyL2Nkay9vdmVybGF5JztcbmltcG9ydCB7VGVtcGxhdGVQb3J0YWx9IGZyb20gJ0Bhbmd1bGFyL2Nkay9wb3J0YWwnO1xuaW1wb3J0IHtcbiAgRGlyZWN0aXZlLFxuICBFbGVtZW50UmVmLFxuICBFdmVudEVtaXR0ZXIsXG4gIElucHV0LFxuICBPbkRlc3Ryb3ksXG4gIE9wdGlvbmFsLFxuICBPdXRwdXQsXG4gIFZpZXdDb250YWluZXJSZWYsXG59IGZyb20gJ0Bhbmd1bGFyL2NvcmUnO1xuaW1wb3J0IHttZXJnZSwgU3ViamVjdH0gZnJvbSAncnhqcyc7XG5pbXBvcnQge3Rha2VVbnRpbH0gZnJvbSAncnhqcy9vcGVyYXRvcnMnO1xuaW1wb3J0IHtBcmlhSGFzUG9wdXBWYWx1ZSwgQ2RrQ29tYm9ib3hQYW5lbH0gZnJvbSAnLi9jb21ib2JveC1wYW5lbCc7XG5cbi8qKlxuICogSW50ZXJhY3Rpb25zIHRoYXQgb3BlbiB0aGUgcG9wdXAgb2YgYSBjb21ib2JveC5cbiAqIC0gYGZvY3VzYCAtIHRoZSBjb21ib2JveCByZWNlaXZlcyBmb2N1cy5cbiAqIC0gYGNsaWNrYCAtIHRoZSBjb21ib2JveCBpcyBjbGlja2VkLCBvciBlbnRlciBpcyBwcmVzc2VkIHdoaWxlIGl0IGlzIGZvY3VzZWQuXG4gKiAtIGBkb3duS2V5YCAtIHRoZSBkb3duIGFycm93IGlzIHByZXNzZWQgd2hpbGUgdGhlIGNvbWJvYm94IGlzIGZvY3VzZWQuXG4gKiAtIGB0b2dnbGVgIC0gc2FtZSBhcyBgY2xpY2tgLCBleGNlcHQgdGhhdCB0aGUgaW50ZXJhY3Rpb24gY2xvc2VzIHRoZSBwb3B1cCBpZiBpdCBpcyBvcGVuLlxuICovXG5leHBvcnQgdHlwZSBPcGVuQWN0aW9uID0gJ2ZvY3VzJyB8ICdjbGljaycgfCAnZG93bktleScgfCAndG9nZ2xlJztcblxuLyoqIFZhbHVlcyB0aGF0IGNhbiBiZSBwYXNzZWQgaW4gYXMgdGhlIG9wZW4gYWN0aW9ucyBvZiBhIGNvbWJvYm94LiAqL1xuZXhwb3J0IHR5cGUgT3BlbkFjdGlvbklucHV0ID0gT3BlbkFjdGlvbiB8IE9wZW5BY3Rpb25bXSB8IHN0cmluZyB8IG51bGwgfCB1bmRlZmluZWQ7XG5cbi8qKiBQb3NpdGlvbnMgb2YgdGhlIHBvcHVwIG9mIGEgY29tYm9ib3guICovXG5jb25zdCBQT1BVUF9QT1NJVElPTlM6IENvbm5lY3RlZFBvc2l0aW9uW10gPSBbXG4gIHtvcmlnaW5YOiAnc3RhcnQnLCBvcmlnaW5ZOiAnYm90dG9tJywgb3ZlcmxheVg6ICdzdGFydCcsIG92ZXJsYXlZOiAndG9wJ30sXG4gIHtvcmlnaW5YOiAnc3RhcnQnLCBvcmlnaW5ZOiAndG9wJywgb3ZlcmxheVg6ICdzdGFydCcsIG92ZXJsYXlZOiAnYm90dG9tJ30sXG4gIHtvcmlnaW5YOiAnZW5kJywgb3JpZ2luWTogJ2JvdHRvbScsIG92ZXJsYXlYOiAnZW5kJywgb3ZlcmxheVk6ICd0b3AnfSxcbiAge29yaWdpblg6ICdlbmQnLCBvcmlnaW5ZOiAndG9wJywgb3ZlcmxheVg6ICdlbmQnLCBvdmVybGF5WTogJ2JvdHRvbSd9LFxuXTtcblxuLyoqXG4gKiBEaXJlY3RpdmUgdGhhdCB0dXJucyBhbiBlbGVtZW50IGludG8gYSBjb21ib2JveCB3aGljaCBvcGVucyBhIGBjZGtDb21ib2JveFBhbmVsYCBpbnNpZGUgb2YgYW5cbiAqIG92ZXJsYXkuIFRoZSBjb250ZW50IG9mIHRoZSBwYW5lbCwgZS5nLiBhIGBjZGtMaXN0Ym94YCwgaGFuZHMgaXRzIHZhbHVlIGJhY2sgdG8gdGhlIGNvbWJvYm94XG4gKiB0aHJvdWdoIHRoZSBwYW5lbC4gVGFrZXMgY2FyZSBvZiB0aGUgYGFyaWEtZXhwYW5kZWRgLCBgYXJpYS1jb250cm9sc2AgYW5kIGBhcmlhLWhhc3BvcHVwYFxuICogYXR0cmlidXRlcyBvZiB0aGUgY29tYm9ib3guXG4gKi9cbkBEaXJlY3RpdmUoe1xuICBzZWxlY3RvcjogJ1tjZGtDb21ib2JveF0nLFxuICBleHBvcnRBczogJ2Nka0NvbWJvYm94JyxcbiAgaG9zdDoge1xuICAgICdyb2xlJzogJ2NvbWJvYm94JyxcbiAgICAnY2xhc3MnOiAnY2RrLWNvbWJvYm94JyxcbiAgICAnKGNsaWNrKSc6ICdfaGFuZGxlSW50ZXJhY3Rpb25zKFwiY2xpY2tcIiknLFxuICAgICcoZm9jdXMpJzogJ19oYW5kbGVJbnRlcmFjdGlvbnMoXCJmb2N1c1wiKScsXG4gICAgJyhrZXlkb3duKSc6ICdfa2V5ZG93bigkZXZlbnQpJyxcbiAgICAnW2F0dHIuYXJpYS1kaXNhYmxlZF0nOiAnZGlzYWJsZWQgfHwgbnVsbCcsXG4gICAgJ1thdHRyLmFyaWEtY29udHJvbHNdJzogJ19nZXRDb250cm9sbGVkSWQoKScsXG4gICAgJ1thdHRyLmFyaWEtaGFzcG9wdXBdJzogJ19nZXRQb3B1cFR5cGUoKScsXG4gICAgJ1thdHRyLmFyaWEtZXhwYW5kZWRdJzogJ2lzT3BlbigpJyxcbiAgICAnW2F0dHIudGFiaW5kZXhdJzogJ19nZXRUYWJJbmRleCgpJyxcbiAgfSxcbn0pXG5leHBvcnQgY2xhc3MgQ2RrQ29tYm9ib3g8VCA9IHVua25vd24+IGltcGxlbWVudHMgT25EZXN0cm95IHtcbiAgLyoqIFBhbmVsIHRoYXQgaXMgb3BlbmVkIGJ5IHRoZSBjb21ib2JveC4gKi9cbiAgQElucHV0KCdjZGtDb21ib2JveFRyaWdnZXJGb3InKVxuICBnZXQgcGFuZWwoKTogQ2RrQ29tYm9ib3hQYW5lbDxUPiB8IG51bGwgeyByZXR1cm4gdGhpcy5fcGFuZWw7IH1cbiAgc2V0IHBhbmVsKHBhbmVsOiBDZGtDb21ib2JveFBhbmVsPFQ+IHwgbnVsbCkge1xuICAgIGlmIChwYW5lbCAhPT0gdGhpcy5fcGFuZWwpIHtcbiAgICAgIHRoaXMuY2xvc2UoKTtcbiAgICAgIHRoaXMuX3BhbmVsQ2hhbmdlZC5uZXh0KCk7XG4gICAgICB0aGlzLl9wYW5lbCA9IHBhbmVsO1xuXG4gICAgICBpZiAocGFuZWwpIHtcbiAgICAgICAgdGhpcy5fc3Vic2NyaWJlVG9QYW5lbChwYW5lbCk7XG4gICAgICB9XG4gICAgfVxuICB9XG4gIHByaXZhdGUgX3BhbmVsOiBDZGtDb21ib2JveFBhbmVsPFQ+IHwgbnVsbCA9IG51bGw7XG5cbiAgLyoqIFZhbHVlIG9mIHRoZSBjb21ib2JveC4gKi9cbiAgQElucHV0KCdjZGtDb21ib2JveFZhbHVlJykgdmFsdWU6IFQgfCBUW10gfCBudWxsID0gbnVsbDtcblxuICAvKiogV2hldGhlciB0aGUgY29tYm9ib3ggaXMgZGlzYWJsZWQuICovXG4gIEBJbnB1dCgnY2RrQ29tYm9ib3hEaXNhYmxlZCcpXG4gIGdldCBkaXNhYmxlZCgpOiBib29sZWFuIHsgcmV0dXJuIHRoaXMuX2Rpc2FibGVkOyB9XG4gIHNldCBkaXNhYmxlZCh2YWx1ZTogYm9vbGVhbikge1xuICAgIHRoaXMuX2Rpc2FibGVkID0gY29lcmNlQm9vbGVhblByb3BlcnR5KHZhbHVlKTtcbiAgfVxuICBwcml2YXRlIF9kaXNhYmxlZCA9IGZhbHNlO1xuXG4gIC8qKiBJbnRlcmFjdGlvbnMgdGhhdCBvcGVuIHRoZSBwb3B1cC4gKi9cbiAgQElucHV0KCdjZGtDb21ib2JveE9wZW5BY3Rpb25zJylcbiAgZ2V0IG9wZW5BY3Rpb25zKCk6IE9wZW5BY3Rpb25bXSB7IHJldHVybiB0aGlzLl9vcGVuQWN0aW9uczsgfVxuICBzZXQgb3BlbkFjdGlvbnMoYWN0aW9uOiBPcGVuQWN0aW9uW10pIHtcbiAgICB0aGlzLl9vcGVuQWN0aW9ucyA9IHRoaXMuX2NvZXJjZU9wZW5BY3Rpb25Qcm9wZXJ0eShhY3Rpb24pO1xuICB9XG4gIHByaXZhdGUgX29wZW5BY3Rpb25zOiBPcGVuQWN0aW9uW10gPSBbJ2NsaWNrJ107XG5cbiAgLyoqXG4gICAqIFdoZXRoZXIgdGhlIHRleHQgb2YgdGhlIGNvbWJvYm94IHNob3VsZCBiZSB1cGRhdGVkIHdoZW4gaXRzIHZhbHVlIGNoYW5nZXMuXG4gICAqIE9ubHkgYXBwbGllcyB0byBjb21ib2JveGVzIHRoYXQgYXJlIGBpbnB1dGAgZWxlbWVudHMuXG4gICAqL1xuICBASW5wdXQoJ2Nka0NvbWJvYm94QXV0b1NldFRleHQnKVxuICBnZXQgYXV0b1NldFRleHQoKTogYm9vbGVhbiB7IHJldHVybiB0aGlzLl9hdXRvU2V0VGV4dDsgfVxuICBzZXQgYXV0b1NldFRleHQodmFsdWU6IGJvb2xlYW4pIHtcbiAgICB0aGlzLl9hdXRvU2V0VGV4dCA9IGNvZXJjZUJvb2xlYW5Qcm9wZXJ0eSh2YWx1ZSk7XG4gIH1cbiAgcHJpdmF0ZSBfYXV0b1NldFRleHQgPSB0cnVlO1xuXG4gIC8qKiBFbWl0cyB3aGVuIHRoZSBwb3B1cCBpcyBvcGVuZWQuICovXG4gIEBPdXRwdXQoJ2Nka0NvbWJvYm94T3BlbmVkJykgcmVhZG9ubHkgb3BlbmVkOiBFdmVudEVtaXR0ZXI8dm9pZD4gPSBuZXcgRXZlbnRFbWl0dGVyKCk7XG5cbiAgLyoqIEVtaXRzIHdoZW4gdGhlIHBvcHVwIGlzIGNsb3NlZC4gKi9cbiAgQE91dHB1dCgnY2RrQ29tYm9ib3hDbG9zZWQnKSByZWFkb25seSBjbG9zZWQ6IEV2ZW50RW1pdHRlcjx2b2lkPiA9IG5ldyBFdmVudEVtaXR0ZXIoKTtcblxuICAvKiogRW1pdHMgdGhlIHZhbHVlcyBvZiB0aGUgY29tYm9ib3ggd2hlbiB0aGV5IGFyZSBjaGFuZ2VkIGJ5IHRoZSBjb250ZW50IG9mIHRoZSBwb3B1cC4gKi9cbiAgQE91dHB1dCgnY2RrQ29tYm9ib3hQYW5lbFZhbHVlQ2hhbmdlZCcpXG4gIHJlYWRvbmx5IHBhbmVsVmFsdWVDaGFuZ2VkOiBFdmVudEVtaXR0ZXI8VFtdPiA9IG5ldyBFdmVudEVtaXR0ZXIoKTtcblxuICAvKiogUmVmZXJlbmNlIHRvIHRoZSBvdmVybGF5IHRoYXQgcmVuZGVycyB0aGUgcG9wdXAuICovXG4gIHByaXZhdGUgX292ZXJsYXlSZWY6IE92ZXJsYXlSZWYgfCBudWxsID0gbnVsbDtcblxuICAvKiogUG9ydGFsIHVzZWQgdG8gcmVuZGVyIHRoZSBjb250ZW50IG9mIHRoZSBwYW5lbC4gKi9cbiAgcHJpdmF0ZSBfcGFuZWxDb250ZW50OiBUZW1wbGF0ZVBvcnRhbCB8IG51bGwgPSBudWxsO1xuXG4gIC8qKiBXaGV0aGVyIHRoZSBjb21ib2JveCBpcyBiZWluZyBmb2N1c2VkIHByb2dyYW1tYXRpY2FsbHkgYW5kIHNob3VsZG4ndCBvcGVuIG9uIGZvY3VzLiAqL1xuICBwcml2YXRlIF9pc1Jlc3RvcmluZ0ZvY3VzID0gZmFsc2U7XG5cbiAgLyoqIEVtaXRzIHdoZW4gdGhlIHBhbmVsIG9mIHRoZSBjb21ib2JveCBjaGFuZ2VzLiAqL1xuICBwcml2YXRlIHJlYWRvbmx5IF9wYW5lbENoYW5nZWQgPSBuZXcgU3ViamVjdDx2b2lkPigpO1xuXG4gIC8qKiBFbWl0cyB3aGVuIHRoZSBwb3B1cCBpcyBjbG9zZWQuICovXG4gIHByaXZhdGUgcmVhZG9ubHkgX3BvcHVwQ2xvc2VkID0gbmV3IFN1YmplY3Q8dm9pZD4oKTtcblxuICAvKiogRW1pdHMgd2hlbiB0aGUgY29tYm9ib3ggaXMgZGVzdHJveWVkLiAqL1xuICBwcml2YXRlIHJlYWRvbmx5IF9kZXN0cm95ZWQgPSBuZXcgU3ViamVjdDx2b2lkPigpO1xuXG4gIGNvbnN0cnVjdG9yKFxuICAgIHByaXZhdGUgcmVhZG9ubHkgX2VsZW1lbnRSZWY6IEVsZW1lbnRSZWY8SFRNTEVsZW1lbnQ+LFxuICAgIHByaXZhdGUgcmVhZG9ubHkgX292ZXJsYXk6IE92ZXJsYXksXG4gICAgcHJvdGVjdGVkIHJlYWRvbmx5IF92aWV3Q29udGFpbmVyUmVmOiBWaWV3Q29udGFpbmVyUmVmLFxuICAgIEBPcHRpb25hbCgpIHByaXZhdGUgcmVhZG9ubHkgX2RpcmVjdGlvbmFsaXR5PzogRGlyZWN0aW9uYWxpdHkpIHt9XG5cbiAgbmdPbkRlc3Ryb3koKSB7XG4gICAgaWYgKHRoaXMuX292ZXJsYXlSZWYpIHtcbiAgICAgIHRoaXMuX292ZXJsYXlSZWYuZGlzcG9zZSgpO1xuICAgICAgdGhpcy5fb3ZlcmxheVJlZiA9IG51bGw7XG4gICAgfVxuXG4gICAgdGhpcy5fcGFuZWxDaGFuZ2VkLmNvbXBsZXRlKCk7XG4gICAgdGhpcy5fcG9wdXBDbG9zZWQuY29tcGxldGUoKTtcbiAgICB0aGlzLl9kZXN0cm95ZWQubmV4dCgpO1xuICAgIHRoaXMuX2Rlc3Ryb3llZC5jb21wbGV0ZSgpO1xuICB9XG5cbiAgLyoqIFdoZXRoZXIgdGhlIHBvcHVwIGlzIG9wZW4uICovXG4gIGlzT3BlbigpOiBib29sZWFuIHtcbiAgICByZXR1cm4gISF0aGlzLl9vdmVybGF5UmVmICYmIHRoaXMuX292ZXJsYXlSZWYuaGFzQXR0YWNoZWQoKTtcbiAgfVxuXG4gIC8qKiBUb2dnbGVzIHRoZSBvcGVuIHN0YXRlIG9mIHRoZSBwb3B1cC4gKi9cbiAgdG9nZ2xlKCkge1xuICAgIHRoaXMuaXNPcGVuKCkgPyB0aGlzLmNsb3NlKCkgOiB0aGlzLm9wZW4oKTtcbiAgfVxuXG4gIC8qKiBPcGVucyB0aGUgcG9wdXAuICovXG4gIG9wZW4oKSB7XG4gICAgY29uc3QgcGFuZWwgPSB0aGlzLl9wYW5lbDtcblxuICAgIGlmICh0aGlzLmRpc2FibGVkIHx8ICFwYW5lbCB8fCB0aGlzLmlzT3BlbigpKSB7XG4gICAgICByZXR1cm47XG4gICAgfVxuXG4gICAgaWYgKCF0aGlzLl9vdmVybGF5UmVmKSB7XG4gICAgICB0aGlzLl9vdmVybGF5UmVmID0gdGhpcy5fb3ZlcmxheS5jcmVhdGUodGhpcy5fZ2V0T3ZlcmxheUNvbmZpZygpKTtcbiAgICB9IGVsc2Uge1xuICAgICAgLy8gVGhlIHNpemUgb2YgdGhlIGNvbWJvYm94IG1heSBoYXZlIGNoYW5nZWQgc2luY2UgdGhlIGxhc3QgdGltZSB0aGUgcG9wdXAgd2FzIG9wZW5lZC5cbiAgICAgIHRoaXMuX292ZXJsYXlSZWYudXBkYXRlU2l6ZSh7bWluV2lkdGg6IHRoaXMuX2dldE92ZXJsYXlNaW5XaWR0aCgpfSk7XG4gICAgfVxuXG4gICAgaWYgKCF0aGlzLl9wYW5lbENvbnRlbnQgfHwgdGhpcy5fcGFuZWxDb250ZW50LnRlbXBsYXRlUmVmICE9PSBwYW5lbC5fdGVtcGxhdGVSZWYpIHtcbiAgICAgIHRoaXMuX3BhbmVsQ29udGVudCA9IG5ldyBUZW1wbGF0ZVBvcnRhbChwYW5lbC5fdGVtcGxhdGVSZWYsIHRoaXMuX3ZpZXdDb250YWluZXJSZWYpO1xuICAgIH1cblxuICAgIHBhbmVsLl9yZXNldCgpO1xuICAgIHRoaXMuX292ZXJsYXlSZWYuYXR0YWNoKHRoaXMuX3BhbmVsQ29udGVudCk7XG4gICAgdGhpcy5fc3Vic2NyaWJlVG9PdXRzaWRlQ2xpY2tzKCk7XG4gICAgdGhpcy5vcGVuZWQubmV4dCgpO1xuICB9XG5cbiAgLyoqIENsb3NlcyB0aGUgcG9wdXAuICovXG4gIGNsb3NlKCkge1xuICAgIGlmICh0aGlzLmlzT3BlbigpKSB7XG4gICAgICB0aGlzLl9wb3B1cENsb3NlZC5uZXh0KCk7XG4gICAgICB0aGlzLl9vdmVybGF5UmVmIS5kZXRhY2goKTtcbiAgICAgIHRoaXMuY2xvc2VkLm5leHQoKTtcbiAgICB9XG4gIH1cblxuICAvKiogSGFuZGxlcyB0aGUgaW50ZXJhY3Rpb25zIHdoaWNoIGNhbiBvcGVuIHRoZSBwb3B1cC4gKi9cbiAgX2hhbmRsZUludGVyYWN0aW9ucyhpbnRlcmFjdGlvbjogT3BlbkFjdGlvbikge1xuICAgIGlmIChpbnRlcmFjdGlvbiA9PT0gJ2ZvY3VzJyAmJiB0aGlzLl9pc1Jlc3RvcmluZ0ZvY3VzKSB7XG4gICAgICByZXR1cm47XG4gICAgfVxuXG4gICAgaWYgKGludGVyYWN0aW9uID09PSAnY2xpY2snICYmIHRoaXMuX29wZW5BY3Rpb25zLmluZGV4T2YoJ3RvZ2dsZScpID4gLTEpIHtcbiAgICAgIHRoaXMudG9nZ2xlKCk7XG4gICAgfSBlbHNlIGlmICh0aGlzLl9vcGVuQWN0aW9ucy5pbmRleE9mKGludGVyYWN0aW9uKSA+IC0xKSB7XG4gICAgICB0aGlzLm9wZW4oKTtcbiAgICB9XG4gIH1cblxuICAvKiogSGFuZGxlcyBrZXlib2FyZCBldmVudHMgb24gdGhlIGNvbWJvYm94LiAqL1xuICBfa2V5ZG93bihldmVudDogS2V5Ym9hcmRFdmVudCkge1xuICAgIGlmIChoYXNNb2RpZmllcktleShldmVudCkpIHtcbiAgICAgIHJldHVybjtcbiAgICB9XG5cbiAgICBjb25zdCBwYW5lbCA9IHRoaXMuX3BhbmVsO1xuXG4gICAgc3dpdGNoIChldmVudC5rZXlDb2RlKSB7XG4gICAgICBjYXNlIERPV05fQVJST1c6XG4gICAgICAgIGlmICh0aGlzLmlzT3BlbigpIHx8IHRoaXMuX29wZW5BY3Rpb25zLmluZGV4T2YoJ2Rvd25LZXknKSA+IC0xKSB7XG4gICAgICAgICAgZXZlbnQucHJldmVudERlZmF1bHQoKTtcbiAgICAgICAgICB0aGlzLm9wZW4oKTtcblxuICAgICAgICAgIGlmIChwYW5lbCAmJiB0aGlzLmlzT3BlbigpKSB7XG4gICAgICAgICAgICBwYW5lbC5mb2N1c0NvbnRlbnQoKTtcbiAgICAgICAgICB9XG4gICAgICAgIH1cbiAgICAgICAgYnJlYWs7XG5cbiAgICAgIGNhc2UgRU5URVI6XG4gICAgICAgIC8vIFByZXZlbnQgdGhlIGRlZmF1bHQgYWN0aW9uIHNvIHRoYXQgYnV0dG9ucyBkb24ndCBkaXNwYXRjaCBhIGNsaWNrIGV2ZW50IGFzIHdlbGwuXG4gICAgICAgIGlmICh0aGlzLl9vcGVuQWN0aW9ucy5pbmRleE9mKCd0b2dnbGUnKSA+IC0xKSB7XG4gICAgICAgICAgZXZlbnQucHJldmVudERlZmF1bHQoKTtcbiAgICAgICAgICB0aGlzLnRvZ2dsZSgpO1xuICAgICAgICB9IGVsc2UgaWYgKHRoaXMuX29wZW5BY3Rpb25zLmluZGV4T2YoJ2NsaWNrJykgPiAtMSAmJiAhdGhpcy5pc09wZW4oKSkge1xuICAgICAgICAgIGV2ZW50LnByZXZlbnREZWZhdWx0KCk7XG4gICAgICAgICAgdGhpcy5vcGVuKCk7XG4gICAgICAgIH1cbiAgICAgICAgYnJlYWs7XG5cbiAgICAgIGNhc2UgRVNDQVBFOlxuICAgICAgICBpZiAodGhpcy5pc09wZW4oKSkge1xuICAgICAgICAgIGV2ZW50LnByZXZlbnREZWZhdWx0KCk7XG4gICAgICAgICAgdGhpcy5jbG9zZSgpO1xuICAgICAgICB9XG4gICAgICAgIGJyZWFrO1xuXG4gICAgICBjYXNlIFRBQjpcbiAgICAgICAgdGhpcy5jbG9zZSgpO1xuICAgICAgICBicmVhaztcbiAgICB9XG4gIH1cblxuICAvKiogR2V0cyB0aGUgSUQgb2YgdGhlIGVsZW1lbnQgdGhhdCB0aGUgY29tYm9ib3ggY29udHJvbHMsIGlmIHRoZSBwb3B1cCBpcyBvcGVuLiAqL1xuICBfZ2V0Q29udHJvbGxlZElkKCk6IHN0cmluZyB8IG51bGwge1xuICAgIHJldHVybiB0aGlzLmlzT3BlbigpICYmIHRoaXMuX3BhbmVsICYmIHRoaXMuX3BhbmVsLmNvbnRlbnRJZCA/IHRoaXMuX3BhbmVsLmNvbnRlbnRJZCA6IG51bGw7XG4gIH1cblxuICAvKiogR2V0cyB0aGUgdHlwZSBvZiB0aGUgcG9wdXAgb2YgdGhlIGNvbWJvYm94LiAqL1xuICBfZ2V0UG9wdXBUeXBlKCk6IEFyaWFIYXNQb3B1cFZhbHVlIHwgbnVsbCB7XG4gICAgcmV0dXJuIHRoaXMuX3BhbmVsID8gdGhpcy5fcGFuZWwuY29udGVudFR5cGUgOiBudWxsO1xuICB9XG5cbiAgLyoqIEdldHMgdGhlIHRhYmluZGV4IG9mIHRoZSBjb21ib2JveC4gKi9cbiAgX2dldFRhYkluZGV4KCk6IHN0cmluZyB8IG51bGwge1xuICAgIHJldHVybiB0aGlzLmRpc2FibGVkID8gbnVsbCA6ICcwJztcbiAgfVxuXG4gIC8qKiBVcGRhdGVzIHRoZSB2YWx1ZSBvZiB0aGUgY29tYm9ib3gsIGFuZCB0aGUgdGV4dCBvZiB0aGUgY29tYm9ib3ggaWYgbmVjZXNzYXJ5LiAqL1xuICBwcml2YXRlIF9zZXRDb21ib2JveFZhbHVlKHZhbHVlOiBUIHwgVFtdKSB7XG4gICAgY29uc3QgdmFsdWVDaGFuZ2VkID0gdGhpcy52YWx1ZSAhPT0gdmFsdWU7XG4gICAgdGhpcy52YWx1ZSA9IHZhbHVlO1xuXG4gICAgaWYgKHZhbHVlQ2hhbmdlZCkge1xuICAgICAgdGhpcy5wYW5lbFZhbHVlQ2hhbmdlZC5lbWl0KGNvZXJjZUFycmF5KHZhbHVlKSk7XG5cbiAgICAgIGlmICh0aGlzLl9hdXRvU2V0VGV4dCkge1xuICAgICAgICB0aGlzLl9zZXRUZXh0Q29udGVudCgpO1xuICAgICAgfVxuICAgIH1cbiAgfVxuXG4gIC8qKiBVcGRhdGVzIHRoZSB0ZXh0IG9mIGFuIGlucHV0IGVsZW1lbnQgYmFzZWQgb24gdGhlIHZhbHVlIG9mIHRoZSBjb21ib2JveC4gKi9cbiAgcHJpdmF0ZSBfc2V0VGV4dENvbnRlbnQoKSB7XG4gICAgY29uc3QgZWxlbWVudCA9IHRoaXMuX2VsZW1lbnRSZWYubmF0aXZlRWxlbWVudDtcblxuICAgIGlmIChlbGVtZW50Lm5vZGVOYW1lLnRvTG93ZXJDYXNlKCkgPT09ICdpbnB1dCcpIHtcbiAgICAgIGNvbnN0IHZhbHVlcyA9IHRoaXMudmFsdWUgPT0gbnVsbCA/IFtdIDogY29lcmNlQXJyYXkodGhpcy52YWx1ZSk7XG4gICAgICAoZWxlbWVudCBhcyBIVE1MSW5wdXRFbGVtZW50KS52YWx1ZSA9IHZhbHVlcy5qb2luKCcsICcpO1xuICAgIH1cbiAgfVxuXG4gIC8qKiBNb3ZlcyBmb2N1cyBiYWNrIHRvIHRoZSBjb21ib2JveCB3aXRob3V0IG9wZW5pbmcgdGhlIHBvcHVwLiAqL1xuICBwcml2YXRlIF9yZXN0b3JlRm9jdXMoKSB7XG4gICAgdGhpcy5faXNSZXN0b3JpbmdGb2N1cyA9IHRydWU7XG4gICAgdGhpcy5fZWxlbWVudFJlZi5uYXRpdmVFbGVtZW50LmZvY3VzKCk7XG4gICAgdGhpcy5faXNSZXN0b3JpbmdGb2N1cyA9IGZhbHNlO1xuICB9XG5cbiAgLyoqIExpc3RlbnMgZm9yIHRoZSBldmVudHMgdGhyb3VnaCB3aGljaCB0aGUgY29udGVudCBvZiB0aGUgcGFuZWwgdGFsa3MgdG8gdGhlIGNvbWJvYm94LiAqL1xuICBwcml2YXRlIF9zdWJzY3JpYmVUb1BhbmVsKHBhbmVsOiBDZGtDb21ib2JveFBhbmVsPFQ+KSB7XG4gICAgY29uc3Qgc3RvcCA9IG1lcmdlKHRoaXMuX3BhbmVsQ2hhbmdlZCwgdGhpcy5fZGVzdHJveWVkKTtcblxuICAgIHBhbmVsLnZhbHVlVXBkYXRlZC5waXBlKHRha2VVbnRpbChzdG9wKSkuc3Vic2NyaWJlKHZhbHVlID0+IHRoaXMuX3NldENvbWJvYm94VmFsdWUodmFsdWUpKTtcbiAgICBwYW5lbC5jbG9zZVJlcXVlc3RlZC5waXBlKHRha2VVbnRpbChzdG9wKSkuc3Vic2NyaWJlKCgpID0+IHtcbiAgICAgIGlmICh0aGlzLmlzT3BlbigpKSB7XG4gICAgICAgIHRoaXMuY2xvc2UoKTtcbiAgICAgICAgdGhpcy5fcmVzdG9yZUZvY3VzKCk7XG4gICAgICB9XG4gICAgfSk7XG4gIH1cblxuICAvKiogQ2xvc2VzIHRoZSBwb3B1cCB3aGVuIHRoZSB1c2VyIGNsaWNrcyBvdXRzaWRlIG9mIGl0IGFuZCB0aGUgY29tYm9ib3guICovXG4gIHByaXZhdGUgX3N1YnNjcmliZVRvT3V0c2lkZUNsaWNrcygpIHtcbiAgICB0aGlzLl9vdmVybGF5UmVmIS5vdXRzaWRlUG9pbnRlckV2ZW50cygpXG4gICAgICAucGlwZSh0YWtlVW50aWwobWVyZ2UodGhpcy5fcG9wdXBDbG9zZWQsIHRoaXMuX2Rlc3Ryb3llZCkpKVxuICAgICAgLnN1YnNjcmliZShldmVudCA9PiB7XG4gICAgICAgIGlmICghdGhpcy5fZWxlbWVudFJlZi5uYXRpdmVFbGVtZW50LmNvbnRhaW5zKGV2ZW50LnRhcmdldCBhcyBOb2RlKSkge1xuICAgICAgICAgIHRoaXMuY2xvc2UoKTtcbiAgICAgICAgfVxuICAgICAgfSk7XG4gIH1cblxuICAvKiogR2V0cyB0aGUgY29uZmlndXJhdGlvbiBmb3IgdGhlIG92ZXJsYXkgdGhhdCByZW5kZXJzIHRoZSBwb3B1cC4gKi9cbiAgcHJpdmF0ZSBfZ2V0T3ZlcmxheUNvbmZpZygpOiBPdmVybGF5Q29uZmlnIHtcbiAgICByZXR1cm4gbmV3IE92ZXJsYXlDb25maWcoe1xuICAgICAgcG9zaXRpb25TdHJhdGVneTogdGhpcy5fZ2V0T3ZlcmxheVBvc2l0aW9uU3RyYXRlZ3koKSxcbiAgICAgIHNjcm9sbFN0cmF0ZWd5OiB0aGlzLl9vdmVybGF5LnNjcm9sbFN0cmF0ZWdpZXMucmVwb3NpdGlvbigpLFxuICAgICAgZGlyZWN0aW9uOiB0aGlzLl9kaXJlY3Rpb25hbGl0eSxcbiAgICAgIG1pbldpZHRoOiB0aGlzLl9nZXRPdmVybGF5TWluV2lkdGgoKSxcbiAgICB9KTtcbiAgfVxuXG4gIC8qKiBHZXRzIHRoZSBzdHJhdGVneSB0aGF0IHBvc2l0aW9ucyB0aGUgcG9wdXAgbmV4dCB0byB0aGUgY29tYm9ib3guICovXG4gIHByaXZhdGUgX2dldE92ZXJsYXlQb3NpdGlvblN0cmF0ZWd5KCk6IEZsZXhpYmxlQ29ubmVjdGVkUG9zaXRpb25TdHJhdGVneSB7XG4gICAgcmV0dXJuIHRoaXMuX292ZXJsYXkucG9zaXRpb24oKVxuICAgICAgLmZsZXhpYmxlQ29ubmVjdGVkVG8odGhpcy5fZWxlbWVudFJlZilcbiAgICAgIC53aXRoUG9zaXRpb25zKFBPUFVQX1BPU0lUSU9OUyk7XG4gIH1cblxuICAvKiogR2V0cyB0aGUgbWluaW11bSB3aWR0aCBvZiB0aGUgcG9wdXAgc28gdGhhdCBpdCdzIGF0IGxlYXN0IGFzIHdpZGUgYXMgdGhlIGNvbWJvYm94LiAqL1xuICBwcml2YXRlIF9nZXRPdmVybGF5TWluV2lkdGgoKTogbnVtYmVyIHtcbiAgICByZXR1cm4gdGhpcy5fZWxlbWVudFJlZi5uYXRpdmVFbGVtZW50LmdldEJvdW5kaW5nQ2xpZW50UmVjdCgpLndpZHRoO1xuICB9XG5cbiAgLyoqIENvZXJjZXMgdGhlIG9wZW4gYWN0aW9ucyBpbnRvIGFuIGFycmF5IG9mIHZhbGlkIGFjdGlvbnMuICovXG4gIHByaXZhdGUgX2NvZXJjZU9wZW5BY3Rpb25Qcm9wZXJ0eShpbnB1dDogT3BlbkFjdGlvbklucHV0KTogT3BlbkFjdGlvbltdIHtcbiAgICBjb25zdCBhY3Rpb25zOiBzdHJpbmdbXSB8IG51bGwgfCB1bmRlZmluZWQgPVxuICAgICAgICB0eXBlb2YgaW5wdXQgPT09ICdzdHJpbmcnID8gaW5wdXQudHJpbSgpLnNwbGl0KC9bICxdKy8pIDogaW5wdXQ7XG5cbiAgICBpZiAoKHR5cGVvZiBuZ0Rldk1vZGUgPT09ICd1bmRlZmluZWQnIHx8IG5nRGV2TW9kZSkgJiYgYWN0aW9ucyAmJlxuICAgICAgICBhY3Rpb25zLnNvbWUoYSA9PiBbJ2ZvY3VzJywgJ2NsaWNrJywgJ2Rvd25LZXknLCAndG9nZ2xlJ10uaW5kZXhPZihhKSA9PT0gLTEpKSB7XG4gICAgICB0aHJvdyBFcnJvcihgJHtpbnB1dH0gaXMgbm90IGEgc3VwcG9ydGVkIG9wZW4gYWN0aW9uIGZvciBDZGtDb21ib2JveGApO1xuICAgIH1cblxuICAgIHJldHVybiAoYWN0aW9ucyB8fCBbXSkgYXMgT3BlbkFjdGlvbltdO1xuICB9XG5cbiAgc3RhdGljIG5nQWNjZXB0SW5wdXRUeXBlX29wZW5BY3Rpb25zOiBPcGVuQWN0aW9uSW5wdXQ7XG4gIHN0YXRpYyBuZ0FjY2VwdElucHV0VHlwZV9hdXRvU2V0VGV4dDogQm9vbGVhbklucHV0O1xuICBzdGF0aWMgbmdBY2NlcHRJbnB1dFR5cGVfZGlzYWJsZWQ6IEJvb2xlYW5JbnB1dDtcbn1cbiJdfQ==
\ No newline at end of file
@@ -0,0 +1,110 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { isInsideClientRect } from './client-rect';
+/**
+ * Default speed, in pixels per frame, at which to auto-scroll while an item is being dragged
+ * freely. Starts off slowly and speeds up as the pointer gets closer to the edge.
+ * @param proximity How close the pointer is to the edge, from 0 at the start of the
+ *     auto-scroll region to 1 at the edge itself.
+ */
+export function defaultAutoScrollSpeed(proximity) {
+    return Math.max(1, Math.round(proximity * proximity * 20));
+}
+/**
+ * Increments the vertical scroll position of a node.
+ * @param node Node whose scroll position should change.
+ * @param amount Amount of pixels that the `node` should be scrolled.
+ */
+export function incrementVerticalScroll(node, amount) {
+    if (node === window) {
+        node.scrollBy(0, amount);
+    }
+    else {
+        // Ideally we could use `Element.scrollBy` here as well, but IE and Edge don't support it.
+        node.scrollTop += amount;
+    }
+}
+/**
+ * Increments the horizontal scroll position of a node.
+ * @param node Node whose scroll position should change.
+ * @param amount Amount of pixels that the `node` should be scrolled.
+ */
+export function incrementHorizontalScroll(node, amount) {
+    if (node === window) {
+        node.scrollBy(amount, 0);
+    }
+    else {
+        // Ideally we could use `Element.scrollBy` here as well, but IE and Edge don't support it.
+        node.scrollLeft += amount;
+    }
+}
+/**
+ * Gets the amount by which a scrollable region has to be scrolled along a single axis so that
+ * an element inside of it becomes visible. Elements that are larger than the region are
+ * aligned with its start edge.
+ * @param regionStart Start edge of the visible part of the region.
+ * @param regionEnd End edge of the visible part of the region.
+ * @param start Start edge of the element.
+ * @param end End edge of the element.
+ */
+export function getScrollIntoViewDelta(regionStart, regionEnd, start, end) {
+    if (start < regionStart) {
+        return start - regionStart;
+    }
+    if (end > regionEnd) {
+        return Math.min(end - regionEnd, start - regionStart);
+    }
+    return 0;
+}
+/**
+ * Gets the velocity, in pixels per frame, at which a scrollable region should be auto-scrolled
+ * based on how close the user's pointer is to its edges.
+ * @param clientRect Dimensions of the scrollable region.
+ * @param pointerX Position of the user's pointer along the x axis.
+ * @param pointerY Position of the user's pointer along the y axis.
+ * @param threshold Distance, in pixels, from the edges at which to start scrolling.
+ * @param speed Function that determines the speed based on how close the pointer is to an edge.
+ * @param element Element that will be scrolled. Used to check whether it can be scrolled any
+ *     further. Should be omitted for the viewport.
+ */
+export function getAutoScrollVelocity(clientRect, pointerX, pointerY, threshold, speed, element) {
+    // Elements are only scrolled while the pointer is inside of them, whereas
+    // the viewport is also scrolled if the pointer has been moved past its edges.
+    if (threshold <= 0 || (element && !isInsideClientRect(clientRect, pointerX, pointerY))) {
+        return { x: 0, y: 0 };
+    }
+    return {
+        x: getAxisVelocity(pointerX - clientRect.left, clientRect.right - pointerX, threshold, speed, element ? element.scrollLeft : null, element ? element.scrollWidth - element.clientWidth : null),
+        y: getAxisVelocity(pointerY - clientRect.top, clientRect.bottom - pointerY, threshold, speed, element ? element.scrollTop : null, element ? element.scrollHeight - element.clientHeight : null)
+    };
+}
+/**
+ * Gets the auto-scroll velocity along a single axis.
+ * @param distanceToStart Distance from the pointer to the start edge.
+ * @param distanceToEnd Distance from the pointer to the end edge.
+ * @param threshold Distance from the edges at which to start scrolling.
+ * @param speed Function that determines the speed based on how close the pointer is to an edge.
+ * @param scrollPosition Current scroll position, or null if it can't be determined.
+ * @param maxScrollPosition Maximum scroll position, or null if it can't be determined.
+ */
+function getAxisVelocity(distanceToStart, distanceToEnd, threshold, speed, scrollPosition, maxScrollPosition) {
+    if (distanceToStart < threshold && distanceToStart <= distanceToEnd) {
+        return scrollPosition === null || scrollPosition > 0 ?
+            -speed(getProximity(distanceToStart, threshold)) : 0;
+    }
+    if (distanceToEnd < threshold) {
+        return scrollPosition === null || scrollPosition < maxScrollPosition ?
+            speed(getProximity(distanceToEnd, threshold)) : 0;
+    }
+    return 0;
+}
+/** Converts the distance between the pointer and an edge into a value between 0 and 1. */
+function getProximity(distance, threshold) {
+    return Math.min(1, Math.max(0, 1 - distance / threshold));
+}
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiYXV0by1zY3JvbGwuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyIuLi8uLi8uLi8uLi8uLi8uLi9zcmMvY2RrL2RyYWctZHJvcC9hdXRvLXNjcm9sbC50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiQUFBQTs7Ozs7O0dBTUc7QUFHSCxPQUFPLEVBQUMsa0JBQWtCLEVBQUMsTUFBTSxlQUFlLENBQUM7QUFFakQ7Ozs7O0dBS0c7QUFDSCxNQUFNLFVBQVUsc0JBQXNCLENBQUMsU0FBaUI7SUFDdEQsT0FBTyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsRUFBRSxJQUFJLENBQUMsS0FBSyxDQUFDLFNBQVMsR0FBRyxTQUFTLEdBQUcsRUFBRSxDQUFDLENBQUMsQ0FBQztBQUM3RCxDQUFDO0FBRUQ7Ozs7R0FJRztBQUNILE1BQU0sVUFBVSx1QkFBdUIsQ0FBQyxJQUEwQixFQUFFLE1BQWM7SUFDaEYsSUFBSSxJQUFJLEtBQUssTUFBTSxFQUFFO1FBQ2xCLElBQWUsQ0FBQyxRQUFRLENBQUMsQ0FBQyxFQUFFLE1BQU0sQ0FBQyxDQUFDO0tBQ3RDO1NBQU07UUFDTCwwRkFBMEY7UUFDekYsSUFBb0IsQ0FBQyxTQUFTLElBQUksTUFBTSxDQUFDO0tBQzNDO0FBQ0gsQ0FBQztBQUVEOzs7O0dBSUc7QUFDSCxNQUFNLFVBQVUseUJBQXlCLENBQUMsSUFBMEIsRUFBRSxNQUFjO0lBQ2xGLElBQUksSUFBSSxLQUFLLE1BQU0sRUFBRTtRQUNsQixJQUFlLENBQUMsUUFBUSxDQUFDLE1BQU0sRUFBRSxDQUFDLENBQUMsQ0FBQztLQUN0QztTQUFNO1FBQ0wsMEZBQTBGO1FBQ3pGLElBQW9CLENBQUMsVUFBVSxJQUFJLE1BQU0sQ0FBQztLQUM1QztBQUNILENBQUM7QUFFRDs7Ozs7Ozs7R0FRRztBQUNILE1BQU0sVUFBVSxzQkFBc0IsQ0FBQyxXQUFtQixFQUFFLFNBQWlCLEVBQUUsS0FBYSxFQUNyRCxHQUFXO0lBQ2hELElBQUksS0FBSyxHQUFHLFdBQVcsRUFBRTtRQUN2QixPQUFPLEtBQUssR0FBRyxXQUFXLENBQUM7S0FDNUI7SUFFRCxJQUFJLEdBQUcsR0FBRyxTQUFTLEVBQUU7UUFDbkIsT0FBTyxJQUFJLENBQUMsR0FBRyxDQUFDLEdBQUcsR0FBRyxTQUFTLEVBQUUsS0FBSyxHQUFHLFdBQVcsQ0FBQyxDQUFDO0tBQ3ZEO0lBRUQsT0FBTyxDQUFDLENBQUM7QUFDWCxDQUFDO0FBRUQ7Ozs7Ozs7Ozs7R0FVRztBQUNILE1BQU0sVUFBVSxxQkFBcUIsQ0FBQyxVQUFzQixFQUFFLFFBQWdCLEVBQUUsUUFBZ0IsRUFDMUQsU0FBaUIsRUFBRSxLQUFvQyxFQUN2RCxPQUFxQjtJQUN6RCwwRUFBMEU7SUFDMUUsOEVBQThFO0lBQzlFLElBQUksU0FBUyxJQUFJLENBQUMsSUFBSSxDQUFDLE9BQU8sSUFBSSxDQUFDLGtCQUFrQixDQUFDLFVBQVUsRUFBRSxRQUFRLEVBQUUsUUFBUSxDQUFDLENBQUMsRUFBRTtRQUN0RixPQUFPLEVBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFDLENBQUM7S0FDckI7SUFFRCxPQUFPO1FBQ0wsQ0FBQyxFQUFFLGVBQWUsQ0FBQyxRQUFRLEdBQUcsVUFBVSxDQUFDLElBQUksRUFBRSxVQUFVLENBQUMsS0FBSyxHQUFHLFFBQVEsRUFBRSxTQUFTLEVBQUUsS0FBSyxFQUN4RixPQUFPLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxVQUFVLENBQUMsQ0FBQyxDQUFDLElBQUksRUFDbkMsT0FBTyxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsV0FBVyxHQUFHLE9BQU8sQ0FBQyxXQUFXLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQztRQUMvRCxDQUFDLEVBQUUsZUFBZSxDQUFDLFFBQVEsR0FBRyxVQUFVLENBQUMsR0FBRyxFQUFFLFVBQVUsQ0FBQyxNQUFNLEdBQUcsUUFBUSxFQUFFLFNBQVMsRUFBRSxLQUFLLEVBQ3hGLE9BQU8sQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsSUFBSSxFQUNsQyxPQUFPLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxZQUFZLEdBQUcsT0FBTyxDQUFDLFlBQVksQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDO0tBQ2xFLENBQUM7QUFDSixDQUFDO0FBRUQ7Ozs7Ozs7O0dBUUc7QUFDSCxTQUFTLGVBQWUsQ0FBQyxlQUF1QixFQUFFLGFBQXFCLEVBQUUsU0FBaUIsRUFDakUsS0FBb0MsRUFBRSxjQUE2QixFQUNuRSxpQkFBZ0M7SUFDdkQsSUFBSSxlQUFlLEdBQUcsU0FBUyxJQUFJLGVBQWUsSUFBSSxhQUFhLEVBQUU7UUFDbkUsT0FBTyxjQUFjLEtBQUssSUFBSSxJQUFJLGNBQWMsR0FBRyxDQUFDLENBQUMsQ0FBQztZQUNsRCxDQUFDLEtBQUssQ0FBQyxZQUFZLENBQUMsZUFBZSxFQUFFLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztLQUMxRDtJQUVELElBQUksYUFBYSxHQUFHLFNBQVMsRUFBRTtRQUM3QixPQUFPLGNBQWMsS0FBSyxJQUFJLElBQUksY0FBYyxHQUFHLGlCQUFrQixDQUFDLENBQUM7WUFDbkUsS0FBSyxDQUFDLFlBQVksQ0FBQyxhQUFhLEVBQUUsU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO0tBQ3ZEO0lBRUQsT0FBTyxDQUFDLENBQUM7QUFDWCxDQUFDO0FBRUQsMEZBQTBGO0FBQzFGLFNBQVMsWUFBWSxDQUFDLFFBQWdCLEVBQUUsU0FBaUI7SUFDdkQsT0FBTyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsRUFBRSxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsRUFBRSxDQUFDLEdBQUcsUUFBUSxHQUFHLFNBQVMsQ0FBQyxDQUFDLENBQUM7QUFDNUQsQ0FBQyIsInNvdXJjZXNDb250ZW50IjpbIi8qKlxuICogQGxpY2Vuc2VcbiAqIENvcHlyaWdodCBHb29nbGUgTExDIEFsbCBSaWdodHMgUmVzZXJ2ZWQuXG4gKlxuICogVXNlIG9mIHRoaXMgc291cmNlIGNvZGUgaXMgZ292ZXJuZWQgYnkgYW4gTUlULXN0eWxlIGxpY2Vuc2UgdGhhdCBjYW4gYmVcbiAqIGZvdW5kIGluIHRoZSBMSUNFTlNFIGZpbGUgYXQgaHR0cHM6Ly9hbmd1bGFyLmlvL2xpY2Vuc2VcbiAqL1xuXG5pbXBvcnQge1BvaW50fSBmcm9tICcuL2RyYWctcmVmJztcbmltcG9ydCB7aXNJbnNpZGVDbGllbnRSZWN0fSBmcm9tICcuL2NsaWVudC1yZWN0JztcblxuLyoqXG4gKiBEZWZhdWx0IHNwZWVkLCBpbiBwaXhlbHMgcGVyIGZyYW1lLCBhdCB3aGljaCB0byBhdXRvLXNjcm9sbCB3aGlsZSBhbiBpdGVtIGlzIGJlaW5nIGRyYWdnZWRcbiAqIGZyZWVseS4gU3RhcnRzIG9mZiBzbG93bHkgYW5kIHNwZWVkcyB1cCBhcyB0aGUgcG9pbnRlciBnZXRzIGNsb3NlciB0byB0aGUgZWRnZS5cbiAqIEBwYXJhbSBwcm94aW1pdHkgSG93IGNsb3NlIHRoZSBwb2ludGVyIGlzIHRvIHRoZSBlZGdlLCBmcm9tIDAgYXQgdGhlIHN0YXJ0IG9mIHRoZVxuICogICAgIGF1dG8tc2Nyb2xsIHJlZ2lvbiB0byAxIGF0IHRoZSBlZGdlIGl0c2VsZi5cbiAqL1xuZXhwb3J0IGZ1bmN0aW9uIGRlZmF1bHRBdXRvU2Nyb2xsU3BlZWQocHJveGltaXR5OiBudW1iZXIpOiBudW1iZXIge1xuICByZXR1cm4gTWF0aC5tYXgoMSwgTWF0aC5yb3VuZChwcm94aW1pdHkgKiBwcm94aW1pdHkgKiAyMCkpO1xufVxuXG4vKipcbiAqIEluY3JlbWVudHMgdGhlIHZlcnRpY2FsIHNjcm9sbCBwb3NpdGlvbiBvZiBhIG5vZGUuXG4gKiBAcGFyYW0gbm9kZSBOb2RlIHdob3NlIHNjcm9sbCBwb3NpdGlvbiBzaG91bGQgY2hhbmdlLlxuICogQHBhcmFtIGFtb3VudCBBbW91bnQgb2YgcGl4ZWxzIHRoYXQgdGhlIGBub2RlYCBzaG91bGQgYmUgc2Nyb2xsZWQuXG4gKi9cbmV4cG9ydCBmdW5jdGlvbiBpbmNyZW1lbnRWZXJ0aWNhbFNjcm9sbChub2RlOiBIVE1MRWxlbWVudCB8IFdpbmRvdywgYW1vdW50OiBudW1iZXIpIHtcbiAgaWYgKG5vZGUgPT09IHdpbmRvdykge1xuICAgIChub2RlIGFzIFdpbmRvdykuc2Nyb2xsQnkoMCwgYW1vdW50KTtcbiAgfSBlbHNlIHtcbiAgICAvLyBJZGVhbGx5IHdlIGNvdWxkIHVzZSBgRWxlbWVudC5zY3JvbGxCeWAgaGVyZSBhcyB3ZWxsLCBidXQgSUUgYW5kIEVkZ2UgZG9uJ3Qgc3VwcG9ydCBpdC5cbiAgICAobm9kZSBhcyBIVE1MRWxlbWVudCkuc2Nyb2xsVG9wICs9IGFtb3VudDtcbiAgfVxufVxuXG4vKipcbiAqIEluY3JlbWVudHMgdGhlIGhvcml6b250YWwgc2Nyb2xsIHBvc2l0aW9uIG9mIGEgbm9kZS5cbiAqIEBwYXJhbSBub2RlIE5vZGUgd2hvc2Ugc2Nyb2xsIHBvc2l0aW9uIHNob3VsZCBjaGFuZ2UuXG4gKiBAcGFyYW0gYW1vdW50IEFtb3VudCBvZiBwaXhlbHMgdGhhdCB0aGUgYG5vZGVgIHNob3VsZCBiZSBzY3JvbGxlZC5cbiAqL1xuZXhwb3J0IGZ1bmN0aW9uIGluY3JlbWVudEhvcml6b250YWxTY3JvbGwobm9kZTogSFRNTEVsZW1lbnQgfCBXaW5kb3csIGFtb3VudDogbnVtYmVyKSB7XG4gIGlmIChub2RlID09PSB3aW5kb3cpIHtcbiAgICAobm9kZSBhcyBXaW5kb3cpLnNjcm9sbEJ5KGFtb3VudCwgMCk7XG4gIH0gZWxzZSB7XG4gICAgLy8gSWRlYWxseSB3ZSBjb3VsZCB1c2UgYEVsZW1lbnQuc2Nyb2xsQnlgIGhlcmUgYXMgd2VsbCwgYnV0IElFIGFuZCBFZGdlIGRvbid0IHN1cHBvcnQgaXQuXG4gICAgKG5vZGUgYXMgSFRNTEVsZW1lbnQpLnNjcm9sbExlZnQgKz0gYW1vdW50O1xuICB9XG59XG5cbi8qKlxuICogR2V0cyB0aGUgYW1vdW50IGJ5IHdoaWNoIGEgc2Nyb2xsYWJsZSByZWdpb24gaGFzIHRvIGJlIHNjcm9sbGVkIGFsb25nIGEgc2luZ2xlIGF4aXMgc28gdGhhdFxuICogYW4gZWxlbWVudCBpbnNpZGUgb2YgaXQgYmVjb21lcyB2aXNpYmxlLiBFbGVtZW50cyB0aGF0IGFyZSBsYXJnZXIgdGhhbiB0aGUgcmVnaW9uIGFyZVxuICogYWxpZ25lZCB3aXRoIGl0cyBzdGFydCBlZGdlLlxuICogQHBhcmFtIHJlZ2lvblN0YXJ0IFN0YXJ0IGVkZ2Ugb2YgdGhlIHZpc2libGUgcGFydCBvZiB0aGUgcmVnaW9uLlxuICogQHBhcmFtIHJlZ2lvbkVuZCBFbmQgZWRnZSBvZiB0aGUgdmlzaWJsZSBwYXJ0IG9mIHRoZSByZWdpb24uXG4gKiBAcGFyYW0gc3RhcnQgU3RhcnQgZWRnZSBvZiB0aGUgZWxlbWVudC5cbiAqIEBwYXJhbSBlbmQgRW5kIGVkZ2Ugb2YgdGhlIGVsZW1lbnQuXG4gKi9cbmV4cG9ydCBmdW5jdGlvbiBnZXRTY3JvbGxJbnRvVmlld0RlbHRhKHJlZ2lvblN0YXJ0OiBudW1iZXIsIHJlZ2lvbkVuZDogbnVtYmVyLCBzdGFydDogbnVtYmVyLFxuICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgZW5kOiBudW1iZXIpOiBudW1iZXIge1xuICBpZiAoc3RhcnQgPCByZWdpb25TdGFydCkge1xuICAgIHJldHVybiBzdGFydCAtIHJlZ2lvblN0YXJ0O1xuICB9XG5cbiAgaWYgKGVuZCA+IHJlZ2lvbkVuZCkge1xuICAgIHJldHVybiBNYXRoLm1pbihlbmQgLSByZWdpb25FbmQsIHN0YXJ0IC0gcmVnaW9uU3RhcnQpO1xuICB9XG5cbiAgcmV0dXJuIDA7XG59XG5cbi8qKlxuICogR2V0cyB0aGUgdmVsb2NpdHksIGluIHBpeGVscyBwZXIgZnJhbWUsIGF0IHdoaWNoIGEgc2Nyb2xsYWJsZSByZWdpb24gc2hvdWxkIGJlIGF1dG8tc2Nyb2xsZWRcbiAqIGJhc2VkIG9uIGhvdyBjbG9zZSB0aGUgdXNlcidzIHBvaW50ZXIgaXMgdG8gaXRzIGVkZ2VzLlxuICogQHBhcmFtIGNsaWVudFJlY3QgRGltZW5zaW9ucyBvZiB0aGUgc2Nyb2xsYWJsZSByZWdpb24uXG4gKiBAcGFyYW0gcG9pbnRlclggUG9zaXRpb24gb2YgdGhlIHVzZXIncyBwb2ludGVyIGFsb25nIHRoZSB4IGF4aXMuXG4gKiBAcGFyYW0gcG9pbnRlclkgUG9zaXRpb24gb2YgdGhlIHVzZXIncyBwb2ludGVyIGFsb25nIHRoZSB5IGF4aXMuXG4gKiBAcGFyYW0gdGhyZXNob2xkIERpc3RhbmNlLCBpbiBwaXhlbHMsIGZyb20gdGhlIGVkZ2VzIGF0IHdoaWNoIHRvIHN0YXJ0IHNjcm9sbGluZy5cbiAqIEBwYXJhbSBzcGVlZCBGdW5jdGlvbiB0aGF0IGRldGVybWluZXMgdGhlIHNwZWVkIGJhc2VkIG9uIGhvdyBjbG9zZSB0aGUgcG9pbnRlciBpcyB0byBhbiBlZGdlLlxuICogQHBhcmFtIGVsZW1lbnQgRWxlbWVudCB0aGF0IHdpbGwgYmUgc2Nyb2xsZWQuIFVzZWQgdG8gY2hlY2sgd2hldGhlciBpdCBjYW4gYmUgc2Nyb2xsZWQgYW55XG4gKiAgICAgZnVydGhlci4gU2hvdWxkIGJlIG9taXR0ZWQgZm9yIHRoZSB2aWV3cG9ydC5cbiAqL1xuZXhwb3J0IGZ1bmN0aW9uIGdldEF1dG9TY3JvbGxWZWxvY2l0eShjbGllbnRSZWN0OiBDbGllbnRSZWN0LCBwb2ludGVyWDogbnVtYmVyLCBwb2ludGVyWTogbnVtYmVyLFxuICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICB0aHJlc2hvbGQ6IG51bWJlciwgc3BlZWQ6IChwcm94aW1pdHk6IG51bWJlcikgPT4gbnVtYmVyLFxuICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICBlbGVtZW50PzogSFRNTEVsZW1lbnQpOiBQb2ludCB7XG4gIC8vIEVsZW1lbnRzIGFyZSBvbmx5IHNjcm9sbGVkIHdoaWxlIHRoZSBwb2ludGVyIGlzIGluc2lkZSBvZiB0aGVtLCB3aGVyZWFzXG4gIC8vIHRoZSB2aWV3cG9ydCBpcyBhbHNvIHNjcm9sbGVkIGlmIHRoZSBwb2ludGVyIGhhcyBiZWVuIG1vdmVkIHBhc3QgaXRzIGVkZ2VzLlxuICBpZiAodGhyZXNob2xkIDw9IDAgfHwgKGVsZW1lbnQgJiYgIWlzSW5zaWRlQ2xpZW50UmVjdChjbGllbnRSZWN0LCBwb2ludGVyWCwgcG9pbnRlclkpKSkge1xuICAgIHJldHVybiB7eDogMCwgeTogMH07XG4gIH1cblxuICByZXR1cm4ge1xuICAgIHg6IGdldEF4aXNWZWxvY2l0eShwb2ludGVyWCAtIGNsaWVudFJlY3QubGVmdCwgY2xpZW50UmVjdC5yaWdodCAtIHBvaW50ZXJYLCB0aHJlc2hvbGQsIHNwZWVkLFxuICAgICAgICBlbGVtZW50ID8gZWxlbWVudC5zY3JvbGxMZWZ0IDogbnVsbCxcbiAgICAgICAgZWxlbWVudCA/IGVsZW1lbnQuc2Nyb2xsV2lkdGggLSBlbGVtZW50LmNsaWVudFdpZHRoIDogbnVsbCksXG4gICAgeTogZ2V0QXhpc1ZlbG9jaXR5KHBvaW50ZXJZIC0gY2xpZW50UmVjdC50b3AsIGNsaWVudFJlY3QuYm90dG9tIC0gcG9pbnRlclksIHRocmVzaG9sZCwgc3BlZWQsXG4gICAgICAgIGVsZW1lbnQgPyBlbGVtZW50LnNjcm9sbFRvcCA6IG51bGwsXG4gICAgICAgIGVsZW1lbnQgPyBlbGVtZW50LnNjcm9sbEhlaWdodCAtIGVsZW1lbnQuY2xpZW50SGVpZ2h0IDogbnVsbClcbiAgfTtcbn1cblxuLyoqXG4gKiBHZXRzIHRoZSBhdXRvLXNjcm9sbCB2ZWxvY2l0eSBhbG9uZyBhIHNpbmdsZSBheGlzLlxuICogQHBhcmFtIGRpc3RhbmNlVG9TdGFydCBEaXN0YW5jZSBmcm9tIHRoZSBwb2ludGVyIHRvIHRoZSBzdGFydCBlZGdlLlxuICogQHBhcmFtIGRpc3RhbmNlVG9FbmQgRGlzdGFuY2UgZnJvbSB0aGUgcG9pbnRlciB0byB0aGUgZW5kIGVkZ2UuXG4gKiBAcGFyYW0gdGhyZXNob2xkIERpc3RhbmNlIGZyb20gdGhlIGVkZ2VzIGF0IHdoaWNoIHRvIHN0YXJ0IHNjcm9sbGluZy5cbiAqIEBwYXJhbSBzcGVlZCBGdW5jdGlvbiB0aGF0IGRldGVybWluZXMgdGhlIHNwZWVkIGJhc2VkIG9uIGhvdyBjbG9zZSB0aGUgcG9pbnRlciBpcyB0byBhbiBlZGdlLlxuICogQHBhcmFtIHNjcm9sbFBvc2l0aW9uIEN1cnJlbnQgc2Nyb2xsIHBvc2l0aW9uLCBvciBudWxsIGlmIGl0IGNhbid0IGJlIGRldGVybWluZWQuXG4gKiBAcGFyYW0gbWF4U2Nyb2xsUG9zaXRpb24gTWF4aW11bSBzY3JvbGwgcG9zaXRpb24sIG9yIG51bGwgaWYgaXQgY2FuJ3QgYmUgZGV0ZXJtaW5lZC5cbiAqL1xuZnVuY3Rpb24gZ2V0QXhpc1ZlbG9jaXR5KGRpc3RhbmNlVG9TdGFydDogbnVtYmVyLCBkaXN0YW5jZVRvRW5kOiBudW1iZXIsIHRocmVzaG9sZDogbnVtYmVyLFxuICAgICAgICAgICAgICAgICAgICAgICAgIHNwZWVkOiAocHJveGltaXR5OiBudW1iZXIpID0+IG51bWJlciwgc2Nyb2xsUG9zaXRpb246IG51bWJlciB8IG51bGwsXG4gICAgICAgICAgICAgICAgICAgICAgICAgbWF4U2Nyb2xsUG9zaXRpb246IG51bWJlciB8IG51bGwpOiBudW1iZXIge1xuICBpZiAoZGlzdGFuY2VUb1N0YXJ0IDwgdGhyZXNob2xkICYmIGRpc3RhbmNlVG9TdGFydCA8PSBkaXN0YW5jZVRvRW5kKSB7XG4gICAgcmV0dXJuIHNjcm9sbFBvc2l0aW9uID09PSBudWxsIHx8IHNjcm9sbFBvc2l0aW9uID4gMCA/XG4gICAgICAgIC1zcGVlZChnZXRQcm94aW1pdHkoZGlzdGFuY2VUb1N0YXJ0LCB0aHJlc2hvbGQpKSA6IDA7XG4gIH1cblxuICBpZiAoZGlzdGFuY2VUb0VuZCA8IHRocmVzaG9sZCkge1xuICAgIHJldHVybiBzY3JvbGxQb3NpdGlvbiA9PT0gbnVsbCB8fCBzY3JvbGxQb3NpdGlvbiA8IG1heFNjcm9sbFBvc2l0aW9uISA/XG4gICAgICAgIHNwZWVkKGdldFByb3hpbWl0eShkaXN0YW5jZVRvRW5kLCB0aHJlc2hvbGQpKSA6IDA7XG4gIH1cblxuICByZXR1cm4gMDtcbn1cblxuLyoqIENvbnZlcnRzIHRoZSBkaXN0YW5jZSBiZXR3ZWVuIHRoZSBwb2ludGVyIGFuZCBhbiBlZGdlIGludG8gYSB2YWx1ZSBiZXR3ZWVuIDAgYW5kIDEuICovXG5mdW5jdGlvbiBnZXRQcm94aW1pdHkoZGlzdGFuY2U6IG51bWJlciwgdGhyZXNob2xkOiBudW1iZXIpOiBudW1iZXIge1xuICByZXR1cm4gTWF0aC5taW4oMSwgTWF0aC5tYXgoMCwgMSAtIGRpc3RhbmNlIC8gdGhyZXNob2xkKSk7XG59XG4iXX0=
\ No newline at end of file
@@ -11,4 +11,4 @@ import { InjectionToken } from '@angular/core';
  * behavior of the drag&drop-related components.
  */
 export const CDK_DRAG_CONFIG = new InjectionToken('CDK_DRAG_CONFIG');
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiY29uZmlnLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiLi4vLi4vLi4vLi4vLi4vLi4vLi4vc3JjL2Nkay9kcmFnLWRyb3AvZGlyZWN0aXZlcy9jb25maWcudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUE7Ozs7OztHQU1HO0FBRUgsT0FBTyxFQUFDLGNBQWMsRUFBQyxNQUFNLGVBQWUsQ0FBQztBQWU3Qzs7O0dBR0c7QUFDSCxNQUFNLENBQUMsTUFBTSxlQUFlLEdBQUcsSUFBSSxjQUFjLENBQWlCLGlCQUFpQixDQUFDLENBQUMiLCJzb3VyY2VzQ29udGVudCI6WyIvKipcbiAqIEBsaWNlbnNlXG4gKiBDb3B5cmlnaHQgR29vZ2xlIExMQyBBbGwgUmlnaHRzIFJlc2VydmVkLlxuICpcbiAqIFVzZSBvZiB0aGlzIHNvdXJjZSBjb2RlIGlzIGdvdmVybmVkIGJ5IGFuIE1JVC1zdHlsZSBsaWNlbnNlIHRoYXQgY2FuIGJlXG4gKiBmb3VuZCBpbiB0aGUgTElDRU5TRSBmaWxlIGF0IGh0dHBzOi8vYW5ndWxhci5pby9saWNlbnNlXG4gKi9cblxuaW1wb3J0IHtJbmplY3Rpb25Ub2tlbn0gZnJvbSAnQGFuZ3VsYXIvY29yZSc7XG5pbXBvcnQge0RyYWdSZWZDb25maWcsIFBvaW50LCBEcmFnUmVmfSBmcm9tICcuLi9kcmFnLXJlZic7XG5cbi8qKiBQb3NzaWJsZSB2YWx1ZXMgdGhhdCBjYW4gYmUgdXNlZCB0byBjb25maWd1cmUgdGhlIGRyYWcgc3RhcnQgZGVsYXkuICovXG5leHBvcnQgdHlwZSBEcmFnU3RhcnREZWxheSA9IG51bWJlciB8IHt0b3VjaDogbnVtYmVyLCBtb3VzZTogbnVtYmVyfTtcblxuLyoqIFBvc3NpYmxlIGF4aXMgYWxvbmcgd2hpY2ggZHJhZ2dpbmcgY2FuIGJlIGxvY2tlZC4gKi9cbmV4cG9ydCB0eXBlIERyYWdBeGlzID0gJ3gnIHwgJ3knO1xuXG4vKiogRnVuY3Rpb24gdGhhdCBjYW4gYmUgdXNlZCB0byBjb25zdHJhaW4gdGhlIHBvc2l0aW9uIG9mIGEgZHJhZ2dlZCBlbGVtZW50LiAqL1xuZXhwb3J0IHR5cGUgRHJhZ0NvbnN0cmFpblBvc2l0aW9uID0gKHBvaW50OiBQb2ludCwgZHJhZ1JlZjogRHJhZ1JlZikgPT4gUG9pbnQ7XG5cbi8qKiBQb3NzaWJsZSBvcmllbnRhdGlvbnMgZm9yIGEgZHJvcCBsaXN0LiAqL1xuZXhwb3J0IHR5cGUgRHJvcExpc3RPcmllbnRhdGlvbiA9ICdob3Jpem9udGFsJyB8ICd2ZXJ0aWNhbCc7XG5cbi8qKlxuICogSW5qZWN0aW9uIHRva2VuIHRoYXQgY2FuIGJlIHVzZWQgdG8gY29uZmlndXJlIHRoZVxuICogYmVoYXZpb3Igb2YgdGhlIGRyYWcmZHJvcC1yZWxhdGVkIGNvbXBvbmVudHMuXG4gKi9cbmV4cG9ydCBjb25zdCBDREtfRFJBR19DT05GSUcgPSBuZXcgSW5qZWN0aW9uVG9rZW48RHJhZ0Ryb3BDb25maWc+KCdDREtfRFJBR19DT05GSUcnKTtcblxuLyoqXG4gKiBPYmplY3QgdGhhdCBjYW4gYmUgdXNlZCB0byBjb25maWd1cmUgdGhlIGRyYWdcbiAqIGl0ZW1zIGFuZCBkcm9wIGxpc3RzIHdpdGhpbiBhIG1vZHVsZSBvciBhIGNvbXBvbmVudC5cbiAqL1xuZXhwb3J0IGludGVyZmFjZSBEcmFnRHJvcENvbmZpZyBleHRlbmRzIFBhcnRpYWw8RHJhZ1JlZkNvbmZpZz4ge1xuICBsb2NrQXhpcz86IERyYWdBeGlzO1xuICBkcmFnU3RhcnREZWxheT86IERyYWdTdGFydERlbGF5O1xuICBjb25zdHJhaW5Qb3NpdGlvbj86IERyYWdDb25zdHJhaW5Qb3NpdGlvbjtcbiAgcHJldmlld0NsYXNzPzogc3RyaW5nIHwgc3RyaW5nW107XG4gIGJvdW5kYXJ5RWxlbWVudD86IHN0cmluZztcbiAgcm9vdEVsZW1lbnRTZWxlY3Rvcj86IHN0cmluZztcbiAgZHJhZ2dpbmdEaXNhYmxlZD86IGJvb2xlYW47XG4gIHNvcnRpbmdEaXNhYmxlZD86IGJvb2xlYW47XG4gIGxpc3RBdXRvU2Nyb2xsRGlzYWJsZWQ/OiBib29sZWFuO1xuICBsaXN0T3JpZW50YXRpb24/OiBEcm9wTGlzdE9yaWVudGF0aW9uO1xuICB6SW5kZXg/OiBudW1iZXI7XG4gIHByZXZpZXdDb250YWluZXI/OiAnZ2xvYmFsJyB8ICdwYXJlbnQnO1xufVxuIl19
\ No newline at end of file
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiY29uZmlnLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiLi4vLi4vLi4vLi4vLi4vLi4vLi4vc3JjL2Nkay9kcmFnLWRyb3AvZGlyZWN0aXZlcy9jb25maWcudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUE7Ozs7OztHQU1HO0FBRUgsT0FBTyxFQUFDLGNBQWMsRUFBQyxNQUFNLGVBQWUsQ0FBQztBQStCN0M7OztHQUdHO0FBQ0gsTUFBTSxDQUFDLE1BQU0sZUFBZSxHQUFHLElBQUksY0FBYyxDQUFpQixpQkFBaUIsQ0FBQyxDQUFDIiwic291cmNlc0NvbnRlbnQiOlsiLyoqXG4gKiBAbGljZW5zZVxuICogQ29weXJpZ2h0IEdvb2dsZSBMTEMgQWxsIFJpZ2h0cyBSZXNlcnZlZC5cbiAqXG4gKiBVc2Ugb2YgdGhpcyBzb3VyY2UgY29kZSBpcyBnb3Zlcm5lZCBieSBhbiBNSVQtc3R5bGUgbGljZW5zZSB0aGF0IGNhbiBiZVxuICogZm91bmQgaW4gdGhlIExJQ0VOU0UgZmlsZSBhdCBodHRwczovL2FuZ3VsYXIuaW8vbGljZW5zZVxuICovXG5cbmltcG9ydCB7SW5qZWN0aW9uVG9rZW59IGZyb20gJ0Bhbmd1bGFyL2NvcmUnO1xuaW1wb3J0IHtEcmFnUmVmQ29uZmlnLCBQb2ludCwgRHJhZ1JlZn0gZnJvbSAnLi4vZHJhZy1yZWYnO1xuaW1wb3J0IHtEcm9wTGlzdFJlZk9yaWVudGF0aW9ufSBmcm9tICcuLi9kcm9wLWxpc3QtcmVmJztcbmltcG9ydCB7Q2RrRHJhZ0tleWJvYXJkQWN0aW9ufSBmcm9tICcuLi9kcmFnLWV2ZW50cyc7XG5pbXBvcnQge0RyYWdBbmltYXRpb25Gbn0gZnJvbSAnLi4vZHJhZy1hbmltYXRpb24nO1xuXG4vKiogUG9zc2libGUgdmFsdWVzIHRoYXQgY2FuIGJlIHVzZWQgdG8gY29uZmlndXJlIHRoZSBkcmFnIHN0YXJ0IGRlbGF5LiAqL1xuZXhwb3J0IHR5cGUgRHJhZ1N0YXJ0RGVsYXkgPSBudW1iZXIgfCB7dG91Y2g6IG51bWJlciwgbW91c2U6IG51bWJlcn07XG5cbi8qKiBQb3NzaWJsZSBheGlzIGFsb25nIHdoaWNoIGRyYWdnaW5nIGNhbiBiZSBsb2NrZWQuICovXG5leHBvcnQgdHlwZSBEcmFnQXhpcyA9ICd4JyB8ICd5JztcblxuLyoqIEZ1bmN0aW9uIHRoYXQgY2FuIGJlIHVzZWQgdG8gY29uc3RyYWluIHRoZSBwb3NpdGlvbiBvZiBhIGRyYWdnZWQgZWxlbWVudC4gKi9cbmV4cG9ydCB0eXBlIERyYWdDb25zdHJhaW5Qb3NpdGlvbiA9IChwb2ludDogUG9pbnQsIGRyYWdSZWY6IERyYWdSZWYpID0+IFBvaW50O1xuXG4vKipcbiAqIEZ1bmN0aW9uIHRoYXQgcHJvZHVjZXMgdGhlIG1lc3NhZ2UgdGhhdCBpcyBhbm5vdW5jZWQgdG8gYXNzaXN0aXZlIHRlY2hub2xvZ3kgd2hlbiB0aGUgdXNlclxuICogcGVyZm9ybXMgYW4gYWN0aW9uIHdoaWxlIGRyYWdnaW5nIGFuIGl0ZW0gdXNpbmcgdGhlIGtleWJvYXJkLlxuICovXG5leHBvcnQgdHlwZSBEcmFnS2V5Ym9hcmRNZXNzYWdlRm4gPSAoZXZlbnQ6IENka0RyYWdLZXlib2FyZEFjdGlvbikgPT4gc3RyaW5nO1xuXG4vKipcbiAqIEZ1bmN0aW9uIHRoYXQgZGV0ZXJtaW5lcyB0aGUgc3BlZWQsIGluIHBpeGVscyBwZXIgZnJhbWUsIGF0IHdoaWNoIHRvIGF1dG8tc2Nyb2xsIHdoaWxlIGFuXG4gKiBpdGVtIGlzIGJlaW5nIGRyYWdnZWQgb3V0c2lkZSBvZiBhIGRyb3AgbGlzdC4gR2V0cyBjYWxsZWQgd2l0aCBhIHZhbHVlIGJldHdlZW4gMCBhbmQgMVxuICogZGVzY3JpYmluZyBob3cgY2xvc2UgdGhlIHVzZXIncyBwb2ludGVyIGlzIHRvIHRoZSBlZGdlLCAxIGJlaW5nIGF0IHRoZSBlZGdlIGl0c2VsZi5cbiAqL1xuZXhwb3J0IHR5cGUgRHJhZ0F1dG9TY3JvbGxTcGVlZEZuID0gKHByb3hpbWl0eTogbnVtYmVyKSA9PiBudW1iZXI7XG5cbi8qKiBQb3NzaWJsZSBvcmllbnRhdGlvbnMgZm9yIGEgZHJvcCBsaXN0LiAqL1xuZXhwb3J0IHR5cGUgRHJvcExpc3RPcmllbnRhdGlvbiA9IERyb3BMaXN0UmVmT3JpZW50YXRpb247XG5cbi8qKlxuICogSW5qZWN0aW9uIHRva2VuIHRoYXQgY2FuIGJlIHVzZWQgdG8gY29uZmlndXJlIHRoZVxuICogYmVoYXZpb3Igb2YgdGhlIGRyYWcmZHJvcC1yZWxhdGVkIGNvbXBvbmVudHMuXG4gKi9cbmV4cG9ydCBjb25zdCBDREtfRFJBR19DT05GSUcgPSBuZXcgSW5qZWN0aW9uVG9rZW48RHJhZ0Ryb3BDb25maWc+KCdDREtfRFJBR19DT05GSUcnKTtcblxuLyoqXG4gKiBPYmplY3QgdGhhdCBjYW4gYmUgdXNlZCB0byBjb25maWd1cmUgdGhlIGRyYWdcbiAqIGl0ZW1zIGFuZCBkcm9wIGxpc3RzIHdpdGhpbiBhIG1vZHVsZSBvciBhIGNvbXBvbmVudC5cbiAqL1xuZXhwb3J0IGludGVyZmFjZSBEcmFnRHJvcENvbmZpZyBleHRlbmRzIFBhcnRpYWw8RHJhZ1JlZkNvbmZpZz4ge1xuICBsb2NrQXhpcz86IERyYWdBeGlzO1xuICBkcmFnU3RhcnREZWxheT86IERyYWdTdGFydERlbGF5O1xuICBjb25zdHJhaW5Qb3NpdGlvbj86IERyYWdDb25zdHJhaW5Qb3NpdGlvbjtcbiAgcHJldmlld0NsYXNzPzogc3RyaW5nIHwgc3RyaW5nW107XG4gIGJvdW5kYXJ5RWxlbWVudD86IHN0cmluZztcbiAgcm9vdEVsZW1lbnRTZWxlY3Rvcj86IHN0cmluZztcbiAgZHJhZ2dpbmdEaXNhYmxlZD86IGJvb2xlYW47XG4gIHNvcnRpbmdEaXNhYmxlZD86IGJvb2xlYW47XG4gIGxpc3RBdXRvU2Nyb2xsRGlzYWJsZWQ/OiBib29sZWFuO1xuICBsaXN0T3JpZW50YXRpb24/OiBEcm9wTGlzdE9yaWVudGF0aW9uO1xuICB6SW5kZXg/OiBudW1iZXI7XG4gIHByZXZpZXdDb250YWluZXI/OiAnZ2xvYmFsJyB8ICdwYXJlbnQnO1xuICBrZXlib2FyZERyYWdnaW5nRW5hYmxlZD86IGJvb2xlYW47XG4gIGtleWJvYXJkTWVzc2FnZT86IERyYWdLZXlib2FyZE1lc3NhZ2VGbjtcbiAgZHJhZ0F1dG9TY3JvbGxEaXNhYmxlZD86IGJvb2xlYW47XG4gIGRyYWdBdXRvU2Nyb2xsVGhyZXNob2xkPzogbnVtYmVyO1xuICBkcmFnQXV0b1Njcm9sbFNwZWVkPzogRHJhZ0F1dG9TY3JvbGxTcGVlZEZuO1xuICBhbmltYXRpb25Gbj86IERyYWdBbmltYXRpb25Gbjtcbn1cbiJdfQ==
\ No newline at end of file
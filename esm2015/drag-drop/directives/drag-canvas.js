@@ -0,0 +1,113 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { coerceBooleanProperty, coerceNumberProperty, } from '@angular/cdk/coercion';
+import { ChangeDetectorRef, Directive, ElementRef, EventEmitter, InjectionToken, Input, Output, } from '@angular/core';
+import { CDK_DROP_LIST } from './drop-list';
+import { DragDrop } from '../drag-drop';
+import { assertElementNode } from './assertions';
+/**
+ * Injection token that can be used to reference instances of `CdkDragCanvas`. It serves as
+ * alternative token to the actual `CdkDragCanvas` class which could cause unnecessary
+ * retention of the class and its directive metadata.
+ */
+export const CDK_DRAG_CANVAS = new InjectionToken('CdkDragCanvas');
+const ɵ0 = undefined;
+/**
+ * Container inside of which `cdkDrag` items can be positioned freely. Items are kept inside the
+ * canvas, can be snapped to a grid and are aligned with their siblings while they're being
+ * dragged. The canvas element should be positioned (e.g. `position: relative`) so that the
+ * alignment guides can be rendered inside it.
+ */
+export class CdkDragCanvas {
+    constructor(
+    /** Element that the canvas is attached to. */
+    element, dragDrop, _changeDetectorRef) {
+        this.element = element;
+        this._changeDetectorRef = _changeDetectorRef;
+        /** Size of the grid, in pixels, to which the items are snapped. Zero disables snapping. */
+        this.gridSize = 0;
+        /**
+         * Distance, in pixels, at which an item is aligned with one of its siblings and an
+         * alignment guide is shown. Zero disables the alignment guides.
+         */
+        this.guideThreshold = 5;
+        /** Whether the items are prevented from overlapping each other. */
+        this.preventOverlap = false;
+        /** Emits when the user drops an item inside the canvas. */
+        this.dropped = new EventEmitter();
+        if (typeof ngDevMode === 'undefined' || ngDevMode) {
+            assertElementNode(element.nativeElement, 'cdkDragCanvas');
+        }
+        this._canvasRef = dragDrop.createDragCanvas(element);
+        this._canvasRef.data = this;
+        this._canvasRef.beforeStarted.subscribe(() => {
+            this._canvasRef.gridSize = coerceNumberProperty(this.gridSize);
+            this._canvasRef.guideThreshold = coerceNumberProperty(this.guideThreshold);
+            this._canvasRef.preventOverlap = coerceBooleanProperty(this.preventOverlap);
+        });
+        this._canvasRef.dropped.subscribe(event => {
+            this.dropped.emit({
+                container: this,
+                item: event.item.data,
+                position: event.position,
+                previousPosition: event.previousPosition
+            });
+            // Mark for check since all of these events run outside of change
+            // detection and we're not guaranteed for something else to have triggered it.
+            this._changeDetectorRef.markForCheck();
+        });
+    }
+    /** Registers an item with the canvas. */
+    addItem(item) {
+        this._canvasRef.addItem(item._dragRef);
+    }
+    /** Removes an item from the canvas. */
+    removeItem(item) {
+        this._canvasRef.removeItem(item._dragRef);
+    }
+    /** Gets the position of an item, relative to the canvas. */
+    getItemPosition(item) {
+        return this._canvasRef.getItemPosition(item._dragRef);
+    }
+    /** Moves an item to a specific position, relative to the canvas. */
+    setItemPosition(item, position) {
+        this._canvasRef.setItemPosition(item._dragRef, position);
+    }
+    ngOnDestroy() {
+        this._canvasRef.dispose();
+    }
+}
+CdkDragCanvas.decorators = [
+    { type: Directive, args: [{
+                selector: '[cdkDragCanvas]',
+                exportAs: 'cdkDragCanvas',
+                providers: [
+                    // Prevent the items from being picked up by a drop list that the canvas is inside of.
+                    { provide: CDK_DROP_LIST, useValue: ɵ0 },
+                    { provide: CDK_DRAG_CANVAS, useExisting: CdkDragCanvas },
+                ],
+                host: {
+                    'class': 'cdk-drag-canvas',
+                    '[class.cdk-drag-canvas-dragging]': '_canvasRef.isDragging()',
+                }
+            },] }
+];
+CdkDragCanvas.ctorParameters = () => [
+    { type: ElementRef },
+    { type: DragDrop },
+    { type: ChangeDetectorRef }
+];
+CdkDragCanvas.propDecorators = {
+    data: [{ type: Input, args: ['cdkDragCanvasData',] }],
+    gridSize: [{ type: Input, args: ['cdkDragCanvasGridSize',] }],
+    guideThreshold: [{ type: Input, args: ['cdkDragCanvasGuideThreshold',] }],
+    preventOverlap: [{ type: Input, args: ['cdkDragCanvasPreventOverlap',] }],
+    dropped: [{ type: Output, args: ['cdkDragCanvasDropped',] }]
+};
+export { ɵ0 };
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZHJhZy1jYW52YXMuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyIuLi8uLi8uLi8uLi8uLi8uLi8uLi9zcmMvY2RrL2RyYWctZHJvcC9kaXJlY3RpdmVzL2RyYWctY2FudmFzLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBOzs7Ozs7R0FNRztBQUVILE9BQU8sRUFFTCxxQkFBcUIsRUFDckIsb0JBQW9CLEdBRXJCLE1BQU0sdUJBQXVCLENBQUM7QUFDL0IsT0FBTyxFQUNMLGlCQUFpQixFQUNqQixTQUFTLEVBQ1QsVUFBVSxFQUNWLFlBQVksRUFDWixjQUFjLEVBQ2QsS0FBSyxFQUVMLE1BQU0sR0FDUCxNQUFNLGVBQWUsQ0FBQztBQUV2QixPQUFPLEVBQUMsYUFBYSxFQUFDLE1BQU0sYUFBYSxDQUFDO0FBRzFDLE9BQU8sRUFBQyxRQUFRLEVBQUMsTUFBTSxjQUFjLENBQUM7QUFFdEMsT0FBTyxFQUFDLGlCQUFpQixFQUFDLE1BQU0sY0FBYyxDQUFDO0FBRS9DOzs7O0dBSUc7QUFDSCxNQUFNLENBQUMsTUFBTSxlQUFlLEdBQUcsSUFBSSxjQUFjLENBQWdCLGVBQWUsQ0FBQyxDQUFDO1dBYTNDLFNBQVM7QUFYaEQ7Ozs7O0dBS0c7QUFjSCxNQUFNLE9BQU8sYUFBYTtJQXVCeEI7SUFDSSw4Q0FBOEM7SUFDdkMsT0FBZ0MsRUFBRSxRQUFrQixFQUNuRCxrQkFBcUM7UUFEdEMsWUFBTyxHQUFQLE9BQU8sQ0FBeUI7UUFDL0IsdUJBQWtCLEdBQWxCLGtCQUFrQixDQUFtQjtRQW5CakQsMkZBQTJGO1FBQzNELGFBQVEsR0FBVyxDQUFDLENBQUM7UUFFckQ7OztXQUdHO1FBQ21DLG1CQUFjLEdBQVcsQ0FBQyxDQUFDO1FBRWpFLG1FQUFtRTtRQUM3QixtQkFBYyxHQUFZLEtBQUssQ0FBQztRQUV0RSwyREFBMkQ7UUFFM0QsWUFBTyxHQUF1QyxJQUFJLFlBQVksRUFBd0IsQ0FBQztRQU9yRixJQUFJLE9BQU8sU0FBUyxLQUFLLFdBQVcsSUFBSSxTQUFTLEVBQUU7WUFDakQsaUJBQWlCLENBQUMsT0FBTyxDQUFDLGFBQWEsRUFBRSxlQUFlLENBQUMsQ0FBQztTQUMzRDtRQUVELElBQUksQ0FBQyxVQUFVLEdBQUcsUUFBUSxDQUFDLGdCQUFnQixDQUFDLE9BQU8sQ0FBQyxDQUFDO1FBQ3JELElBQUksQ0FBQyxVQUFVLENBQUMsSUFBSSxHQUFHLElBQUksQ0FBQztRQUM1QixJQUFJLENBQUMsVUFBVSxDQUFDLGFBQWEsQ0FBQyxTQUFTLENBQUMsR0FBRyxFQUFFO1lBQzNDLElBQUksQ0FBQyxVQUFVLENBQUMsUUFBUSxHQUFHLG9CQUFvQixDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsQ0FBQztZQUMvRCxJQUFJLENBQUMsVUFBVSxDQUFDLGNBQWMsR0FBRyxvQkFBb0IsQ0FBQyxJQUFJLENBQUMsY0FBYyxDQUFDLENBQUM7WUFDM0UsSUFBSSxDQUFDLFVBQVUsQ0FBQyxjQUFjLEdBQUcscUJBQXFCLENBQUMsSUFBSSxDQUFDLGNBQWMsQ0FBQyxDQUFDO1FBQzlFLENBQUMsQ0FBQyxDQUFDO1FBQ0gsSUFBSSxDQUFDLFVBQVUsQ0FBQyxPQUFPLENBQUMsU0FBUyxDQUFDLEtBQUssQ0FBQyxFQUFFO1lBQ3hDLElBQUksQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDO2dCQUNoQixTQUFTLEVBQUUsSUFBSTtnQkFDZixJQUFJLEVBQUUsS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJO2dCQUNyQixRQUFRLEVBQUUsS0FBSyxDQUFDLFFBQVE7Z0JBQ3hCLGdCQUFnQixFQUFFLEtBQUssQ0FBQyxnQkFBZ0I7YUFDekMsQ0FBQyxDQUFDO1lBRUgsaUVBQWlFO1lBQ2pFLDhFQUE4RTtZQUM5RSxJQUFJLENBQUMsa0JBQWtCLENBQUMsWUFBWSxFQUFFLENBQUM7UUFDekMsQ0FBQyxDQUFDLENBQUM7SUFDTCxDQUFDO0lBRUQseUNBQXlDO0lBQ3pDLE9BQU8sQ0FBQyxJQUFhO1FBQ25CLElBQUksQ0FBQyxVQUFVLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsQ0FBQztJQUN6QyxDQUFDO0lBRUQsdUNBQXVDO0lBQ3ZDLFVBQVUsQ0FBQyxJQUFhO1FBQ3RCLElBQUksQ0FBQyxVQUFVLENBQUMsVUFBVSxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsQ0FBQztJQUM1QyxDQUFDO0lBRUQsNERBQTREO0lBQzVELGVBQWUsQ0FBQyxJQUFhO1FBQzNCLE9BQU8sSUFBSSxDQUFDLFVBQVUsQ0FBQyxlQUFlLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxDQUFDO0lBQ3hELENBQUM7SUFFRCxvRUFBb0U7SUFDcEUsZUFBZSxDQUFDLElBQWEsRUFBRSxRQUFlO1FBQzVDLElBQUksQ0FBQyxVQUFVLENBQUMsZUFBZSxDQUFDLElBQUksQ0FBQyxRQUFRLEVBQUUsUUFBUSxDQUFDLENBQUM7SUFDM0QsQ0FBQztJQUVELFdBQVc7UUFDVCxJQUFJLENBQUMsVUFBVSxDQUFDLE9BQU8sRUFBRSxDQUFDO0lBQzVCLENBQUM7OztZQXhGRixTQUFTLFNBQUM7Z0JBQ1QsUUFBUSxFQUFFLGlCQUFpQjtnQkFDM0IsUUFBUSxFQUFFLGVBQWU7Z0JBQ3pCLFNBQVMsRUFBRTtvQkFDVCxzRkFBc0Y7b0JBQ3RGLEVBQUMsT0FBTyxFQUFFLGFBQWEsRUFBRSxRQUFRLElBQVcsRUFBQztvQkFDN0MsRUFBQyxPQUFPLEVBQUUsZUFBZSxFQUFFLFdBQVcsRUFBRSxhQUFhLEVBQUM7aUJBQ3ZEO2dCQUNELElBQUksRUFBRTtvQkFDSixPQUFPLEVBQUUsaUJBQWlCO29CQUMxQixrQ0FBa0MsRUFBRSx5QkFBeUI7aUJBQzlEO2FBQ0Y7OztZQXhDQyxVQUFVO1lBV0osUUFBUTtZQWJkLGlCQUFpQjs7O21CQWdEaEIsS0FBSyxTQUFDLG1CQUFtQjt1QkFHekIsS0FBSyxTQUFDLHVCQUF1Qjs2QkFNN0IsS0FBSyxTQUFDLDZCQUE2Qjs2QkFHbkMsS0FBSyxTQUFDLDZCQUE2QjtzQkFHbkMsTUFBTSxTQUFDLHNCQUFzQiIsInNvdXJjZXNDb250ZW50IjpbIi8qKlxuICogQGxpY2Vuc2VcbiAqIENvcHlyaWdodCBHb29nbGUgTExDIEFsbCBSaWdodHMgUmVzZXJ2ZWQuXG4gKlxuICogVXNlIG9mIHRoaXMgc291cmNlIGNvZGUgaXMgZ292ZXJuZWQgYnkgYW4gTUlULXN0eWxlIGxpY2Vuc2UgdGhhdCBjYW4gYmVcbiAqIGZvdW5kIGluIHRoZSBMSUNFTlNFIGZpbGUgYXQgaHR0cHM6Ly9hbmd1bGFyLmlvL2xpY2Vuc2VcbiAqL1xuXG5pbXBvcnQge1xuICBCb29sZWFuSW5wdXQsXG4gIGNvZXJjZUJvb2xlYW5Qcm9wZXJ0eSxcbiAgY29lcmNlTnVtYmVyUHJvcGVydHksXG4gIE51bWJlcklucHV0LFxufSBmcm9tICdAYW5ndWxhci9jZGsvY29lcmNpb24nO1xuaW1wb3J0IHtcbiAgQ2hhbmdlRGV0ZWN0b3JSZWYsXG4gIERpcmVjdGl2ZSxcbiAgRWxlbWVudFJlZixcbiAgRXZlbnRFbWl0dGVyLFxuICBJbmplY3Rpb25Ub2tlbixcbiAgSW5wdXQsXG4gIE9uRGVzdHJveSxcbiAgT3V0cHV0LFxufSBmcm9tICdAYW5ndWxhci9jb3JlJztcbmltcG9ydCB7Q2RrRHJhZ30gZnJvbSAnLi9kcmFnJztcbmltcG9ydCB7Q0RLX0RST1BfTElTVH0gZnJvbSAnLi9kcm9wLWxpc3QnO1xuaW1wb3J0IHtDZGtEcmFnQ2FudmFzRHJvcH0gZnJvbSAnLi4vZHJhZy1ldmVudHMnO1xuaW1wb3J0IHtEcmFnQ2FudmFzUmVmfSBmcm9tICcuLi9kcmFnLWNhbnZhcy1yZWYnO1xuaW1wb3J0IHtEcmFnRHJvcH0gZnJvbSAnLi4vZHJhZy1kcm9wJztcbmltcG9ydCB7UG9pbnR9IGZyb20gJy4uL2RyYWctcmVmJztcbmltcG9ydCB7YXNzZXJ0RWxlbWVudE5vZGV9IGZyb20gJy4vYXNzZXJ0aW9ucyc7XG5cbi8qKlxuICogSW5qZWN0aW9uIHRva2VuIHRoYXQgY2FuIGJlIHVzZWQgdG8gcmVmZXJlbmNlIGluc3RhbmNlcyBvZiBgQ2RrRHJhZ0NhbnZhc2AuIEl0IHNlcnZlcyBhc1xuICogYWx0ZXJuYXRpdmUgdG9rZW4gdG8gdGhlIGFjdHVhbCBgQ2RrRHJhZ0NhbnZhc2AgY2xhc3Mgd2hpY2ggY291bGQgY2F1c2UgdW5uZWNlc3NhcnlcbiAqIHJldGVudGlvbiBvZiB0aGUgY2xhc3MgYW5kIGl0cyBkaXJlY3RpdmUgbWV0YWRhdGEuXG4gKi9cbmV4cG9ydCBjb25zdCBDREtfRFJBR19DQU5WQVMgPSBuZXcgSW5qZWN0aW9uVG9rZW48Q2RrRHJhZ0NhbnZhcz4oJ0Nka0RyYWdDYW52YXMnKTtcblxuLyoqXG4gKiBDb250YWluZXIgaW5zaWRlIG9mIHdoaWNoIGBjZGtEcmFnYCBpdGVtcyBjYW4gYmUgcG9zaXRpb25lZCBmcmVlbHkuIEl0ZW1zIGFyZSBrZXB0IGluc2lkZSB0aGVcbiAqIGNhbnZhcywgY2FuIGJlIHNuYXBwZWQgdG8gYSBncmlkIGFuZCBhcmUgYWxpZ25lZCB3aXRoIHRoZWlyIHNpYmxpbmdzIHdoaWxlIHRoZXkncmUgYmVpbmdcbiAqIGRyYWdnZWQuIFRoZSBjYW52YXMgZWxlbWVudCBzaG91bGQgYmUgcG9zaXRpb25lZCAoZS5nLiBgcG9zaXRpb246IHJlbGF0aXZlYCkgc28gdGhhdCB0aGVcbiAqIGFsaWdubWVudCBndWlkZXMgY2FuIGJlIHJlbmRlcmVkIGluc2lkZSBpdC5cbiAqL1xuQERpcmVjdGl2ZSh7XG4gIHNlbGVjdG9yOiAnW2Nka0RyYWdDYW52YXNdJyxcbiAgZXhwb3J0QXM6ICdjZGtEcmFnQ2FudmFzJyxcbiAgcHJvdmlkZXJzOiBbXG4gICAgLy8gUHJldmVudCB0aGUgaXRlbXMgZnJvbSBiZWluZyBwaWNrZWQgdXAgYnkgYSBkcm9wIGxpc3QgdGhhdCB0aGUgY2FudmFzIGlzIGluc2lkZSBvZi5cbiAgICB7cHJvdmlkZTogQ0RLX0RST1BfTElTVCwgdXNlVmFsdWU6IHVuZGVmaW5lZH0sXG4gICAge3Byb3ZpZGU6IENES19EUkFHX0NBTlZBUywgdXNlRXhpc3Rpbmc6IENka0RyYWdDYW52YXN9LFxuICBdLFxuICBob3N0OiB7XG4gICAgJ2NsYXNzJzogJ2Nkay1kcmFnLWNhbnZhcycsXG4gICAgJ1tjbGFzcy5jZGstZHJhZy1jYW52YXMtZHJhZ2dpbmddJzogJ19jYW52YXNSZWYuaXNEcmFnZ2luZygpJyxcbiAgfVxufSlcbmV4cG9ydCBjbGFzcyBDZGtEcmFnQ2FudmFzPFQgPSBhbnk+IGltcGxlbWVudHMgT25EZXN0cm95IHtcbiAgLyoqIFJlZmVyZW5jZSB0byB0aGUgdW5kZXJseWluZyBjYW52YXMgaW5zdGFuY2UuICovXG4gIF9jYW52YXNSZWY6IERyYWdDYW52YXNSZWY8Q2RrRHJhZ0NhbnZhczxUPj47XG5cbiAgLyoqIEFyYml0cmFyeSBkYXRhIHRvIGF0dGFjaCB0byB0aGlzIGNhbnZhcy4gKi9cbiAgQElucHV0KCdjZGtEcmFnQ2FudmFzRGF0YScpIGRhdGE6IFQ7XG5cbiAgLyoqIFNpemUgb2YgdGhlIGdyaWQsIGluIHBpeGVscywgdG8gd2hpY2ggdGhlIGl0ZW1zIGFyZSBzbmFwcGVkLiBaZXJvIGRpc2FibGVzIHNuYXBwaW5nLiAqL1xuICBASW5wdXQoJ2Nka0RyYWdDYW52YXNHcmlkU2l6ZScpIGdyaWRTaXplOiBudW1iZXIgPSAwO1xuXG4gIC8qKlxuICAgKiBEaXN0YW5jZSwgaW4gcGl4ZWxzLCBhdCB3aGljaCBhbiBpdGVtIGlzIGFsaWduZWQgd2l0aCBvbmUgb2YgaXRzIHNpYmxpbmdzIGFuZCBhblxuICAgKiBhbGlnbm1lbnQgZ3VpZGUgaXMgc2hvd24uIFplcm8gZGlzYWJsZXMgdGhlIGFsaWdubWVudCBndWlkZXMuXG4gICAqL1xuICBASW5wdXQoJ2Nka0RyYWdDYW52YXNHdWlkZVRocmVzaG9sZCcpIGd1aWRlVGhyZXNob2xkOiBudW1iZXIgPSA1O1xuXG4gIC8qKiBXaGV0aGVyIHRoZSBpdGVtcyBhcmUgcHJldmVudGVkIGZyb20gb3ZlcmxhcHBpbmcgZWFjaCBvdGhlci4gKi9cbiAgQElucHV0KCdjZGtEcmFnQ2FudmFzUHJldmVudE92ZXJsYXAnKSBwcmV2ZW50T3ZlcmxhcDogYm9vbGVhbiA9IGZhbHNlO1xuXG4gIC8qKiBFbWl0cyB3aGVuIHRoZSB1c2VyIGRyb3BzIGFuIGl0ZW0gaW5zaWRlIHRoZSBjYW52YXMuICovXG4gIEBPdXRwdXQoJ2Nka0RyYWdDYW52YXNEcm9wcGVkJylcbiAgZHJvcHBlZDogRXZlbnRFbWl0dGVyPENka0RyYWdDYW52YXNEcm9wPFQ+PiA9IG5ldyBFdmVudEVtaXR0ZXI8Q2RrRHJhZ0NhbnZhc0Ryb3A8VD4+KCk7XG5cbiAgY29uc3RydWN0b3IoXG4gICAgICAvKiogRWxlbWVudCB0aGF0IHRoZSBjYW52YXMgaXMgYXR0YWNoZWQgdG8uICovXG4gICAgICBwdWJsaWMgZWxlbWVudDogRWxlbWVudFJlZjxIVE1MRWxlbWVudD4sIGRyYWdEcm9wOiBEcmFnRHJvcCxcbiAgICAgIHByaXZhdGUgX2NoYW5nZURldGVjdG9yUmVmOiBDaGFuZ2VEZXRlY3RvclJlZikge1xuXG4gICAgaWYgKHR5cGVvZiBuZ0Rldk1vZGUgPT09ICd1bmRlZmluZWQnIHx8IG5nRGV2TW9kZSkge1xuICAgICAgYXNzZXJ0RWxlbWVudE5vZGUoZWxlbWVudC5uYXRpdmVFbGVtZW50LCAnY2RrRHJhZ0NhbnZhcycpO1xuICAgIH1cblxuICAgIHRoaXMuX2NhbnZhc1JlZiA9IGRyYWdEcm9wLmNyZWF0ZURyYWdDYW52YXMoZWxlbWVudCk7XG4gICAgdGhpcy5fY2FudmFzUmVmLmRhdGEgPSB0aGlzO1xuICAgIHRoaXMuX2NhbnZhc1JlZi5iZWZvcmVTdGFydGVkLnN1YnNjcmliZSgoKSA9PiB7XG4gICAgICB0aGlzLl9jYW52YXNSZWYuZ3JpZFNpemUgPSBjb2VyY2VOdW1iZXJQcm9wZXJ0eSh0aGlzLmdyaWRTaXplKTtcbiAgICAgIHRoaXMuX2NhbnZhc1JlZi5ndWlkZVRocmVzaG9sZCA9IGNvZXJjZU51bWJlclByb3BlcnR5KHRoaXMuZ3VpZGVUaHJlc2hvbGQpO1xuICAgICAgdGhpcy5fY2FudmFzUmVmLnByZXZlbnRPdmVybGFwID0gY29lcmNlQm9vbGVhblByb3BlcnR5KHRoaXMucHJldmVudE92ZXJsYXApO1xuICAgIH0pO1xuICAgIHRoaXMuX2NhbnZhc1JlZi5kcm9wcGVkLnN1YnNjcmliZShldmVudCA9PiB7XG4gICAgICB0aGlzLmRyb3BwZWQuZW1pdCh7XG4gICAgICAgIGNvbnRhaW5lcjogdGhpcyxcbiAgICAgICAgaXRlbTogZXZlbnQuaXRlbS5kYXRhLFxuICAgICAgICBwb3NpdGlvbjogZXZlbnQucG9zaXRpb24sXG4gICAgICAgIHByZXZpb3VzUG9zaXRpb246IGV2ZW50LnByZXZpb3VzUG9zaXRpb25cbiAgICAgIH0pO1xuXG4gICAgICAvLyBNYXJrIGZvciBjaGVjayBzaW5jZSBhbGwgb2YgdGhlc2UgZXZlbnRzIHJ1biBvdXRzaWRlIG9mIGNoYW5nZVxuICAgICAgLy8gZGV0ZWN0aW9uIGFuZCB3ZSdyZSBub3QgZ3VhcmFudGVlZCBmb3Igc29tZXRoaW5nIGVsc2UgdG8gaGF2ZSB0cmlnZ2VyZWQgaXQuXG4gICAgICB0aGlzLl9jaGFuZ2VEZXRlY3RvclJlZi5tYXJrRm9yQ2hlY2soKTtcbiAgICB9KTtcbiAgfVxuXG4gIC8qKiBSZWdpc3RlcnMgYW4gaXRlbSB3aXRoIHRoZSBjYW52YXMuICovXG4gIGFkZEl0ZW0oaXRlbTogQ2RrRHJhZyk6IHZvaWQge1xuICAgIHRoaXMuX2NhbnZhc1JlZi5hZGRJdGVtKGl0ZW0uX2RyYWdSZWYpO1xuICB9XG5cbiAgLyoqIFJlbW92ZXMgYW4gaXRlbSBmcm9tIHRoZSBjYW52YXMuICovXG4gIHJlbW92ZUl0ZW0oaXRlbTogQ2RrRHJhZyk6IHZvaWQge1xuICAgIHRoaXMuX2NhbnZhc1JlZi5yZW1vdmVJdGVtKGl0ZW0uX2RyYWdSZWYpO1xuICB9XG5cbiAgLyoqIEdldHMgdGhlIHBvc2l0aW9uIG9mIGFuIGl0ZW0sIHJlbGF0aXZlIHRvIHRoZSBjYW52YXMuICovXG4gIGdldEl0ZW1Qb3NpdGlvbihpdGVtOiBDZGtEcmFnKTogUG9pbnQge1xuICAgIHJldHVybiB0aGlzLl9jYW52YXNSZWYuZ2V0SXRlbVBvc2l0aW9uKGl0ZW0uX2RyYWdSZWYpO1xuICB9XG5cbiAgLyoqIE1vdmVzIGFuIGl0ZW0gdG8gYSBzcGVjaWZpYyBwb3NpdGlvbiwgcmVsYXRpdmUgdG8gdGhlIGNhbnZhcy4gKi9cbiAgc2V0SXRlbVBvc2l0aW9uKGl0ZW06IENka0RyYWcsIHBvc2l0aW9uOiBQb2ludCk6IHZvaWQge1xuICAgIHRoaXMuX2NhbnZhc1JlZi5zZXRJdGVtUG9zaXRpb24oaXRlbS5fZHJhZ1JlZiwgcG9zaXRpb24pO1xuICB9XG5cbiAgbmdPbkRlc3Ryb3koKSB7XG4gICAgdGhpcy5fY2FudmFzUmVmLmRpc3Bvc2UoKTtcbiAgfVxuXG4gIHN0YXRpYyBuZ0FjY2VwdElucHV0VHlwZV9ncmlkU2l6ZTogTnVtYmVySW5wdXQ7XG4gIHN0YXRpYyBuZ0FjY2VwdElucHV0VHlwZV9ndWlkZVRocmVzaG9sZDogTnVtYmVySW5wdXQ7XG4gIHN0YXRpYyBuZ0FjY2VwdElucHV0VHlwZV9wcmV2ZW50T3ZlcmxhcDogQm9vbGVhbklucHV0O1xufVxuIl19
\ No newline at end of file
@@ -0,0 +1,83 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { coerceBooleanProperty } from '@angular/cdk/coercion';
+import { hasModifierKey, Y, Z } from '@angular/cdk/keycodes';
+import { Directive, Input } from '@angular/core';
+import { DragDropHistory } from '../drag-drop-history';
+/**
+ * Adds keyboard shortcuts for undoing and redoing drag&drop operations while focus is inside
+ * the element. Ctrl+Z (Cmd+Z on Mac) undoes the last operation, whereas Ctrl+Shift+Z and Ctrl+Y
+ * redo it. The shortcuts aren't handled while the user is typing inside a text field so that
+ * they don't interfere with the native undo behavior.
+ */
+export class CdkDragDropHistory {
+    constructor(_defaultHistory) {
+        this._defaultHistory = _defaultHistory;
+        this._disabled = false;
+        this._history = _defaultHistory;
+    }
+    /**
+     * History whose operations should be undone and redone.
+     * Defaults to the `DragDropHistory` that is available for injection.
+     */
+    get history() { return this._history; }
+    set history(value) {
+        this._history = value || this._defaultHistory;
+    }
+    /** Whether the keyboard shortcuts are disabled. */
+    get disabled() { return this._disabled; }
+    set disabled(value) {
+        this._disabled = coerceBooleanProperty(value);
+    }
+    /** Handles keyboard events on the host element. */
+    _handleKeydown(event) {
+        if (this.disabled || !hasModifierKey(event, 'ctrlKey', 'metaKey') ||
+            hasModifierKey(event, 'altKey') || isEditableElement(event.target)) {
+            return;
+        }
+        const keyCode = event.keyCode;
+        const hasShift = hasModifierKey(event, 'shiftKey');
+        let operation = null;
+        if ((keyCode === Z && hasShift) || (keyCode === Y && !hasShift)) {
+            operation = this._history.redo();
+        }
+        else if (keyCode === Z) {
+            operation = this._history.undo();
+        }
+        // Only prevent the default action if something happened so that
+        // the browser can handle the shortcut if there was nothing to undo.
+        if (operation) {
+            event.preventDefault();
+        }
+    }
+}
+CdkDragDropHistory.decorators = [
+    { type: Directive, args: [{
+                selector: '[cdkDragDropHistory]',
+                exportAs: 'cdkDragDropHistory',
+                host: {
+                    '(keydown)': '_handleKeydown($event)',
+                }
+            },] }
+];
+CdkDragDropHistory.ctorParameters = () => [
+    { type: DragDropHistory }
+];
+CdkDragDropHistory.propDecorators = {
+    history: [{ type: Input, args: ['cdkDragDropHistory',] }],
+    disabled: [{ type: Input, args: ['cdkDragDropHistoryDisabled',] }]
+};
+/** Whether an element handles text editing shortcuts itself. */
+function isEditableElement(element) {
+    if (!element || !element.nodeName) {
+        return false;
+    }
+    const nodeName = element.nodeName.toLowerCase();
+    return nodeName === 'input' || nodeName === 'textarea' || !!element.isContentEditable;
+}
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZHJhZy1kcm9wLWhpc3RvcnkuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyIuLi8uLi8uLi8uLi8uLi8uLi8uLi9zcmMvY2RrL2RyYWctZHJvcC9kaXJlY3RpdmVzL2RyYWctZHJvcC1oaXN0b3J5LnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBOzs7Ozs7R0FNRztBQUVILE9BQU8sRUFBZSxxQkFBcUIsRUFBQyxNQUFNLHVCQUF1QixDQUFDO0FBQzFFLE9BQU8sRUFBQyxjQUFjLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBQyxNQUFNLHVCQUF1QixDQUFDO0FBQzNELE9BQU8sRUFBQyxTQUFTLEVBQUUsS0FBSyxFQUFDLE1BQU0sZUFBZSxDQUFDO0FBQy9DLE9BQU8sRUFBQyxlQUFlLEVBQUMsTUFBTSxzQkFBc0IsQ0FBQztBQUVyRDs7Ozs7R0FLRztBQVFILE1BQU0sT0FBTyxrQkFBa0I7SUFvQjdCLFlBQW9CLGVBQWdDO1FBQWhDLG9CQUFlLEdBQWYsZUFBZSxDQUFpQjtRQUY1QyxjQUFTLEdBQUcsS0FBSyxDQUFDO1FBR3hCLElBQUksQ0FBQyxRQUFRLEdBQUcsZUFBZSxDQUFDO0lBQ2xDLENBQUM7SUFyQkQ7OztPQUdHO0lBQ0gsSUFDSSxPQUFPLEtBQXNCLE9BQU8sSUFBSSxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUM7SUFDeEQsSUFBSSxPQUFPLENBQUMsS0FBc0I7UUFDaEMsSUFBSSxDQUFDLFFBQVEsR0FBRyxLQUFLLElBQUksSUFBSSxDQUFDLGVBQWUsQ0FBQztJQUNoRCxDQUFDO0lBR0QsbURBQW1EO0lBQ25ELElBQ0ksUUFBUSxLQUFjLE9BQU8sSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUM7SUFDbEQsSUFBSSxRQUFRLENBQUMsS0FBYztRQUN6QixJQUFJLENBQUMsU0FBUyxHQUFHLHFCQUFxQixDQUFDLEtBQUssQ0FBQyxDQUFDO0lBQ2hELENBQUM7SUFPRCxtREFBbUQ7SUFDbkQsY0FBYyxDQUFDLEtBQW9CO1FBQ2pDLElBQUksSUFBSSxDQUFDLFFBQVEsSUFBSSxDQUFDLGNBQWMsQ0FBQyxLQUFLLEVBQUUsU0FBUyxFQUFFLFNBQVMsQ0FBQztZQUM3RCxjQUFjLENBQUMsS0FBSyxFQUFFLFFBQVEsQ0FBQyxJQUFJLGlCQUFpQixDQUFDLEtBQUssQ0FBQyxNQUFxQixDQUFDLEVBQUU7WUFDckYsT0FBTztTQUNSO1FBRUQsTUFBTSxPQUFPLEdBQUcsS0FBSyxDQUFDLE9BQU8sQ0FBQztRQUM5QixNQUFNLFFBQVEsR0FBRyxjQUFjLENBQUMsS0FBSyxFQUFFLFVBQVUsQ0FBQyxDQUFDO1FBQ25ELElBQUksU0FBUyxHQUFHLElBQUksQ0FBQztRQUVyQixJQUFJLENBQUMsT0FBTyxLQUFLLENBQUMsSUFBSSxRQUFRLENBQUMsSUFBSSxDQUFDLE9BQU8sS0FBSyxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsRUFBRTtZQUMvRCxTQUFTLEdBQUcsSUFBSSxDQUFDLFFBQVEsQ0FBQyxJQUFJLEVBQUUsQ0FBQztTQUNsQzthQUFNLElBQUksT0FBTyxLQUFLLENBQUMsRUFBRTtZQUN4QixTQUFTLEdBQUcsSUFBSSxDQUFDLFFBQVEsQ0FBQyxJQUFJLEVBQUUsQ0FBQztTQUNsQztRQUVELGdFQUFnRTtRQUNoRSxvRUFBb0U7UUFDcEUsSUFBSSxTQUFTLEVBQUU7WUFDYixLQUFLLENBQUMsY0FBYyxFQUFFLENBQUM7U0FDeEI7SUFDSCxDQUFDOzs7WUFyREYsU0FBUyxTQUFDO2dCQUNULFFBQVEsRUFBRSxzQkFBc0I7Z0JBQ2hDLFFBQVEsRUFBRSxvQkFBb0I7Z0JBQzlCLElBQUksRUFBRTtvQkFDSixXQUFXLEVBQUUsd0JBQXdCO2lCQUN0QzthQUNGOzs7WUFkTyxlQUFlOzs7c0JBb0JwQixLQUFLLFNBQUMsb0JBQW9CO3VCQVExQixLQUFLLFNBQUMsNEJBQTRCOztBQXVDckMsZ0VBQWdFO0FBQ2hFLFNBQVMsaUJBQWlCLENBQUMsT0FBMkI7SUFDcEQsSUFBSSxDQUFDLE9BQU8sSUFBSSxDQUFDLE9BQU8sQ0FBQyxRQUFRLEVBQUU7UUFDakMsT0FBTyxLQUFLLENBQUM7S0FDZDtJQUVELE1BQU0sUUFBUSxHQUFHLE9BQU8sQ0FBQyxRQUFRLENBQUMsV0FBVyxFQUFFLENBQUM7SUFDaEQsT0FBTyxRQUFRLEtBQUssT0FBTyxJQUFJLFFBQVEsS0FBSyxVQUFVLElBQUksQ0FBQyxDQUFDLE9BQU8sQ0FBQyxpQkFBaUIsQ0FBQztBQUN4RixDQUFDIiwic291cmNlc0NvbnRlbnQiOlsiLyoqXG4gKiBAbGljZW5zZVxuICogQ29weXJpZ2h0IEdvb2dsZSBMTEMgQWxsIFJpZ2h0cyBSZXNlcnZlZC5cbiAqXG4gKiBVc2Ugb2YgdGhpcyBzb3VyY2UgY29kZSBpcyBnb3Zlcm5lZCBieSBhbiBNSVQtc3R5bGUgbGljZW5zZSB0aGF0IGNhbiBiZVxuICogZm91bmQgaW4gdGhlIExJQ0VOU0UgZmlsZSBhdCBodHRwczovL2FuZ3VsYXIuaW8vbGljZW5zZVxuICovXG5cbmltcG9ydCB7Qm9vbGVhbklucHV0LCBjb2VyY2VCb29sZWFuUHJvcGVydHl9IGZyb20gJ0Bhbmd1bGFyL2Nkay9jb2VyY2lvbic7XG5pbXBvcnQge2hhc01vZGlmaWVyS2V5LCBZLCBafSBmcm9tICdAYW5ndWxhci9jZGsva2V5Y29kZXMnO1xuaW1wb3J0IHtEaXJlY3RpdmUsIElucHV0fSBmcm9tICdAYW5ndWxhci9jb3JlJztcbmltcG9ydCB7RHJhZ0Ryb3BIaXN0b3J5fSBmcm9tICcuLi9kcmFnLWRyb3AtaGlzdG9yeSc7XG5cbi8qKlxuICogQWRkcyBrZXlib2FyZCBzaG9ydGN1dHMgZm9yIHVuZG9pbmcgYW5kIHJlZG9pbmcgZHJhZyZkcm9wIG9wZXJhdGlvbnMgd2hpbGUgZm9jdXMgaXMgaW5zaWRlXG4gKiB0aGUgZWxlbWVudC4gQ3RybCtaIChDbWQrWiBvbiBNYWMpIHVuZG9lcyB0aGUgbGFzdCBvcGVyYXRpb24sIHdoZXJlYXMgQ3RybCtTaGlmdCtaIGFuZCBDdHJsK1lcbiAqIHJlZG8gaXQuIFRoZSBzaG9ydGN1dHMgYXJlbid0IGhhbmRsZWQgd2hpbGUgdGhlIHVzZXIgaXMgdHlwaW5nIGluc2lkZSBhIHRleHQgZmllbGQgc28gdGhhdFxuICogdGhleSBkb24ndCBpbnRlcmZlcmUgd2l0aCB0aGUgbmF0aXZlIHVuZG8gYmVoYXZpb3IuXG4gKi9cbkBEaXJlY3RpdmUoe1xuICBzZWxlY3RvcjogJ1tjZGtEcmFnRHJvcEhpc3RvcnldJyxcbiAgZXhwb3J0QXM6ICdjZGtEcmFnRHJvcEhpc3RvcnknLFxuICBob3N0OiB7XG4gICAgJyhrZXlkb3duKSc6ICdfaGFuZGxlS2V5ZG93bigkZXZlbnQpJyxcbiAgfVxufSlcbmV4cG9ydCBjbGFzcyBDZGtEcmFnRHJvcEhpc3Rvcnkge1xuICAvKipcbiAgICogSGlzdG9yeSB3aG9zZSBvcGVyYXRpb25zIHNob3VsZCBiZSB1bmRvbmUgYW5kIHJlZG9uZS5cbiAgICogRGVmYXVsdHMgdG8gdGhlIGBEcmFnRHJvcEhpc3RvcnlgIHRoYXQgaXMgYXZhaWxhYmxlIGZvciBpbmplY3Rpb24uXG4gICAqL1xuICBASW5wdXQoJ2Nka0RyYWdEcm9wSGlzdG9yeScpXG4gIGdldCBoaXN0b3J5KCk6IERyYWdEcm9wSGlzdG9yeSB7IHJldHVybiB0aGlzLl9oaXN0b3J5OyB9XG4gIHNldCBoaXN0b3J5KHZhbHVlOiBEcmFnRHJvcEhpc3RvcnkpIHtcbiAgICB0aGlzLl9oaXN0b3J5ID0gdmFsdWUgfHwgdGhpcy5fZGVmYXVsdEhpc3Rvcnk7XG4gIH1cbiAgcHJpdmF0ZSBfaGlzdG9yeTogRHJhZ0Ryb3BIaXN0b3J5O1xuXG4gIC8qKiBXaGV0aGVyIHRoZSBrZXlib2FyZCBzaG9ydGN1dHMgYXJlIGRpc2FibGVkLiAqL1xuICBASW5wdXQoJ2Nka0RyYWdEcm9wSGlzdG9yeURpc2FibGVkJylcbiAgZ2V0IGRpc2FibGVkKCk6IGJvb2xlYW4geyByZXR1cm4gdGhpcy5fZGlzYWJsZWQ7IH1cbiAgc2V0IGRpc2FibGVkKHZhbHVlOiBib29sZWFuKSB7XG4gICAgdGhpcy5fZGlzYWJsZWQgPSBjb2VyY2VCb29sZWFuUHJvcGVydHkodmFsdWUpO1xuICB9XG4gIHByaXZhdGUgX2Rpc2FibGVkID0gZmFsc2U7XG5cbiAgY29uc3RydWN0b3IocHJpdmF0ZSBfZGVmYXVsdEhpc3Rvcnk6IERyYWdEcm9wSGlzdG9yeSkge1xuICAgIHRoaXMuX2hpc3RvcnkgPSBfZGVmYXVsdEhpc3Rvcnk7XG4gIH1cblxuICAvKiogSGFuZGxlcyBrZXlib2FyZCBldmVudHMgb24gdGhlIGhvc3QgZWxlbWVudC4gKi9cbiAgX2hhbmRsZUtleWRvd24oZXZlbnQ6IEtleWJvYXJkRXZlbnQpIHtcbiAgICBpZiAodGhpcy5kaXNhYmxlZCB8fCAhaGFzTW9kaWZpZXJLZXkoZXZlbnQsICdjdHJsS2V5JywgJ21ldGFLZXknKSB8fFxuICAgICAgICBoYXNNb2RpZmllcktleShldmVudCwgJ2FsdEtleScpIHx8IGlzRWRpdGFibGVFbGVtZW50KGV2ZW50LnRhcmdldCBhcyBIVE1MRWxlbWVudCkpIHtcbiAgICAgIHJldHVybjtcbiAgICB9XG5cbiAgICBjb25zdCBrZXlDb2RlID0gZXZlbnQua2V5Q29kZTtcbiAgICBjb25zdCBoYXNTaGlmdCA9IGhhc01vZGlmaWVyS2V5KGV2ZW50LCAnc2hpZnRLZXknKTtcbiAgICBsZXQgb3BlcmF0aW9uID0gbnVsbDtcblxuICAgIGlmICgoa2V5Q29kZSA9PT0gWiAmJiBoYXNTaGlmdCkgfHwgKGtleUNvZGUgPT09IFkgJiYgIWhhc1NoaWZ0KSkge1xuICAgICAgb3BlcmF0aW9uID0gdGhpcy5faGlzdG9yeS5yZWRvKCk7XG4gICAgfSBlbHNlIGlmIChrZXlDb2RlID09PSBaKSB7XG4gICAgICBvcGVyYXRpb24gPSB0aGlzLl9oaXN0b3J5LnVuZG8oKTtcbiAgICB9XG5cbiAgICAvLyBPbmx5IHByZXZlbnQgdGhlIGRlZmF1bHQgYWN0aW9uIGlmIHNvbWV0aGluZyBoYXBwZW5lZCBzbyB0aGF0XG4gICAgLy8gdGhlIGJyb3dzZXIgY2FuIGhhbmRsZSB0aGUgc2hvcnRjdXQgaWYgdGhlcmUgd2FzIG5vdGhpbmcgdG8gdW5kby5cbiAgICBpZiAob3BlcmF0aW9uKSB7XG4gICAgICBldmVudC5wcmV2ZW50RGVmYXVsdCgpO1xuICAgIH1cbiAgfVxuXG4gIHN0YXRpYyBuZ0FjY2VwdElucHV0VHlwZV9oaXN0b3J5OiBEcmFnRHJvcEhpc3RvcnkgfCAnJztcbiAgc3RhdGljIG5nQWNjZXB0SW5wdXRUeXBlX2Rpc2FibGVkOiBCb29sZWFuSW5wdXQ7XG59XG5cbi8qKiBXaGV0aGVyIGFuIGVsZW1lbnQgaGFuZGxlcyB0ZXh0IGVkaXRpbmcgc2hvcnRjdXRzIGl0c2VsZi4gKi9cbmZ1bmN0aW9uIGlzRWRpdGFibGVFbGVtZW50KGVsZW1lbnQ6IEhUTUxFbGVtZW50IHwgbnVsbCk6IGJvb2xlYW4ge1xuICBpZiAoIWVsZW1lbnQgfHwgIWVsZW1lbnQubm9kZU5hbWUpIHtcbiAgICByZXR1cm4gZmFsc2U7XG4gIH1cblxuICBjb25zdCBub2RlTmFtZSA9IGVsZW1lbnQubm9kZU5hbWUudG9Mb3dlckNhc2UoKTtcbiAgcmV0dXJuIG5vZGVOYW1lID09PSAnaW5wdXQnIHx8IG5vZGVOYW1lID09PSAndGV4dGFyZWEnIHx8ICEhZWxlbWVudC5pc0NvbnRlbnRFZGl0YWJsZTtcbn1cbiJdfQ==
\ No newline at end of file
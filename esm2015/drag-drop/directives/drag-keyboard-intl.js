@@ -0,0 +1,36 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { Injectable } from '@angular/core';
+import * as i0 from "@angular/core";
+/**
+ * Messages that are announced to assistive technology when the user performs an action while
+ * dragging an item using the keyboard. A different implementation can be provided in order to
+ * translate the messages. Note that the `cdkDragKeyboardMessage` input takes precedence.
+ */
+export class CdkDragKeyboardIntl {
+    /** Gets the message that should be announced for an action performed using the keyboard. */
+    getMessage(event) {
+        const position = event.currentIndex + 1;
+        switch (event.action) {
+            case 'started':
+                return `Picked up item at position ${position}. Use the arrow keys to move it, ` +
+                    `space or enter to drop it and escape to cancel.`;
+            case 'moved':
+                return `Moved to position ${position}.`;
+            case 'dropped':
+                return `Dropped item at position ${position}.`;
+            case 'cancelled':
+                return `Dragging cancelled. Item returned to position ${position}.`;
+        }
+    }
+}
+CdkDragKeyboardIntl.ɵprov = i0.ɵɵdefineInjectable({ factory: function CdkDragKeyboardIntl_Factory() { return new CdkDragKeyboardIntl(); }, token: CdkDragKeyboardIntl, providedIn: "root" });
+CdkDragKeyboardIntl.decorators = [
+    { type: Injectable, args: [{ providedIn: 'root' },] }
+];
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZHJhZy1rZXlib2FyZC1pbnRsLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiLi4vLi4vLi4vLi4vLi4vLi4vLi4vc3JjL2Nkay9kcmFnLWRyb3AvZGlyZWN0aXZlcy9kcmFnLWtleWJvYXJkLWludGwudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUE7Ozs7OztHQU1HO0FBRUgsT0FBTyxFQUFDLFVBQVUsRUFBQyxNQUFNLGVBQWUsQ0FBQzs7QUFHekM7Ozs7R0FJRztBQUVILE1BQU0sT0FBTyxtQkFBbUI7SUFDOUIsNEZBQTRGO0lBQzVGLFVBQVUsQ0FBQyxLQUE0QjtRQUNyQyxNQUFNLFFBQVEsR0FBRyxLQUFLLENBQUMsWUFBWSxHQUFHLENBQUMsQ0FBQztRQUV4QyxRQUFRLEtBQUssQ0FBQyxNQUFNLEVBQUU7WUFDcEIsS0FBSyxTQUFTO2dCQUNaLE9BQU8sOEJBQThCLFFBQVEsbUNBQW1DO29CQUN6RSxpREFBaUQsQ0FBQztZQUMzRCxLQUFLLE9BQU87Z0JBQ1YsT0FBTyxxQkFBcUIsUUFBUSxHQUFHLENBQUM7WUFDMUMsS0FBSyxTQUFTO2dCQUNaLE9BQU8sNEJBQTRCLFFBQVEsR0FBRyxDQUFDO1lBQ2pELEtBQUssV0FBVztnQkFDZCxPQUFPLGlEQUFpRCxRQUFRLEdBQUcsQ0FBQztTQUN2RTtJQUNILENBQUM7Ozs7WUFqQkYsVUFBVSxTQUFDLEVBQUMsVUFBVSxFQUFFLE1BQU0sRUFBQyIsInNvdXJjZXNDb250ZW50IjpbIi8qKlxuICogQGxpY2Vuc2VcbiAqIENvcHlyaWdodCBHb29nbGUgTExDIEFsbCBSaWdodHMgUmVzZXJ2ZWQuXG4gKlxuICogVXNlIG9mIHRoaXMgc291cmNlIGNvZGUgaXMgZ292ZXJuZWQgYnkgYW4gTUlULXN0eWxlIGxpY2Vuc2UgdGhhdCBjYW4gYmVcbiAqIGZvdW5kIGluIHRoZSBMSUNFTlNFIGZpbGUgYXQgaHR0cHM6Ly9hbmd1bGFyLmlvL2xpY2Vuc2VcbiAqL1xuXG5pbXBvcnQge0luamVjdGFibGV9IGZyb20gJ0Bhbmd1bGFyL2NvcmUnO1xuaW1wb3J0IHtDZGtEcmFnS2V5Ym9hcmRBY3Rpb259IGZyb20gJy4uL2RyYWctZXZlbnRzJztcblxuLyoqXG4gKiBNZXNzYWdlcyB0aGF0IGFyZSBhbm5vdW5jZWQgdG8gYXNzaXN0aXZlIHRlY2hub2xvZ3kgd2hlbiB0aGUgdXNlciBwZXJmb3JtcyBhbiBhY3Rpb24gd2hpbGVcbiAqIGRyYWdnaW5nIGFuIGl0ZW0gdXNpbmcgdGhlIGtleWJvYXJkLiBBIGRpZmZlcmVudCBpbXBsZW1lbnRhdGlvbiBjYW4gYmUgcHJvdmlkZWQgaW4gb3JkZXIgdG9cbiAqIHRyYW5zbGF0ZSB0aGUgbWVzc2FnZXMuIE5vdGUgdGhhdCB0aGUgYGNka0RyYWdLZXlib2FyZE1lc3NhZ2VgIGlucHV0IHRha2VzIHByZWNlZGVuY2UuXG4gKi9cbkBJbmplY3RhYmxlKHtwcm92aWRlZEluOiAncm9vdCd9KVxuZXhwb3J0IGNsYXNzIENka0RyYWdLZXlib2FyZEludGwge1xuICAvKiogR2V0cyB0aGUgbWVzc2FnZSB0aGF0IHNob3VsZCBiZSBhbm5vdW5jZWQgZm9yIGFuIGFjdGlvbiBwZXJmb3JtZWQgdXNpbmcgdGhlIGtleWJvYXJkLiAqL1xuICBnZXRNZXNzYWdlKGV2ZW50OiBDZGtEcmFnS2V5Ym9hcmRBY3Rpb24pOiBzdHJpbmcge1xuICAgIGNvbnN0IHBvc2l0aW9uID0gZXZlbnQuY3VycmVudEluZGV4ICsgMTtcblxuICAgIHN3aXRjaCAoZXZlbnQuYWN0aW9uKSB7XG4gICAgICBjYXNlICdzdGFydGVkJzpcbiAgICAgICAgcmV0dXJuIGBQaWNrZWQgdXAgaXRlbSBhdCBwb3NpdGlvbiAke3Bvc2l0aW9ufS4gVXNlIHRoZSBhcnJvdyBrZXlzIHRvIG1vdmUgaXQsIGAgK1xuICAgICAgICAgICAgICAgYHNwYWNlIG9yIGVudGVyIHRvIGRyb3AgaXQgYW5kIGVzY2FwZSB0byBjYW5jZWwuYDtcbiAgICAgIGNhc2UgJ21vdmVkJzpcbiAgICAgICAgcmV0dXJuIGBNb3ZlZCB0byBwb3NpdGlvbiAke3Bvc2l0aW9ufS5gO1xuICAgICAgY2FzZSAnZHJvcHBlZCc6XG4gICAgICAgIHJldHVybiBgRHJvcHBlZCBpdGVtIGF0IHBvc2l0aW9uICR7cG9zaXRpb259LmA7XG4gICAgICBjYXNlICdjYW5jZWxsZWQnOlxuICAgICAgICByZXR1cm4gYERyYWdnaW5nIGNhbmNlbGxlZC4gSXRlbSByZXR1cm5lZCB0byBwb3NpdGlvbiAke3Bvc2l0aW9ufS5gO1xuICAgIH1cbiAgfVxufVxuIl19
\ No newline at end of file
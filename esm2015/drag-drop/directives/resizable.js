@@ -0,0 +1,182 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { Directionality } from '@angular/cdk/bidi';
+import { coerceBooleanProperty, coerceElement, coerceNumberProperty, } from '@angular/cdk/coercion';
+import { CDK_TABLE_RESIZABLE } from '@angular/cdk/table';
+import { ChangeDetectorRef, ContentChildren, Directive, ElementRef, EventEmitter, Inject, Input, Optional, Output, QueryList, SkipSelf, } from '@angular/core';
+import { merge, Subject } from 'rxjs';
+import { startWith, switchMap, takeUntil } from 'rxjs/operators';
+import { getClosestMatchingAncestor } from '../dom-roots';
+import { CDK_DRAG_PARENT } from '../drag-parent';
+import { DragDrop } from '../drag-drop';
+import { CDK_RESIZE_PARENT } from '../resize-parent';
+import { assertElementNode } from './assertions';
+import { CDK_DRAG_CONFIG } from './config';
+import { CDK_RESIZE_HANDLE } from './resize-handle';
+/**
+ * Element that can be resized by dragging one of its `cdkResizeHandle` elements. When it's
+ * placed on a header cell of a `CdkTable`, the width of the entire column changes along with it.
+ */
+export class CdkResizable {
+    constructor(
+    /** Element that is being resized. */
+    element, dragDrop, _changeDetectorRef, _dir, config, parentDrag) {
+        this.element = element;
+        this._changeDetectorRef = _changeDetectorRef;
+        this._dir = _dir;
+        /** Emits when the element is destroyed. */
+        this._destroyed = new Subject();
+        /** Emits when the user starts resizing the element. */
+        this.started = new EventEmitter();
+        /** Emits as the user is resizing the element. */
+        this.resized = new EventEmitter();
+        /** Emits when the user stops resizing the element. */
+        this.ended = new EventEmitter();
+        if (typeof ngDevMode === 'undefined' || ngDevMode) {
+            assertElementNode(element.nativeElement, 'cdkResizable');
+        }
+        this._resizeRef = dragDrop.createResizable(element, {
+            dragStartThreshold: config && config.dragStartThreshold != null ?
+                config.dragStartThreshold : 5,
+            pointerDirectionChangeThreshold: config && config.pointerDirectionChangeThreshold != null ?
+                config.pointerDirectionChangeThreshold : 5,
+            // Setting the parent prevents the pointer events of the handles from
+            // starting a drag sequence on a `cdkDrag` that the element is inside of.
+            parentDragRef: parentDrag ? parentDrag._dragRef : undefined
+        });
+        this._resizeRef.data = this;
+        this._syncInputs(this._resizeRef);
+        this._handleEvents(this._resizeRef);
+    }
+    /** Whether resizing the element is disabled. */
+    get disabled() { return this._resizeRef.disabled; }
+    set disabled(value) {
+        // Resizing can be disabled before the user has interacted with the element
+        // so we need to sync the value with the ref as it's being set.
+        this._resizeRef.disabled = coerceBooleanProperty(value);
+    }
+    ngAfterViewInit() {
+        this._handles.changes.pipe(startWith(this._handles), 
+        // Re-sync the handles if any of them change their position.
+        switchMap((handles) => {
+            return merge(...handles.map(handle => handle._stateChanges)).pipe(startWith(null));
+        }), takeUntil(this._destroyed)).subscribe(() => {
+            this._resizeRef.withHandles(this._handles
+                .filter(handle => handle._parentResizable === this)
+                .map(handle => ({ element: handle.element, position: handle.position })));
+        });
+    }
+    ngOnDestroy() {
+        this._destroyed.next();
+        this._destroyed.complete();
+        this._resizeRef.dispose();
+    }
+    /** Syncs the inputs of the CdkResizable with the options of the underlying ResizeRef. */
+    _syncInputs(ref) {
+        if (this._dir) {
+            this._dir.change
+                .pipe(startWith(this._dir.value), takeUntil(this._destroyed))
+                .subscribe(value => ref.withDirection(value));
+        }
+        ref.beforeStarted.subscribe(() => {
+            ref.minWidth = coerceNumberProperty(this.minWidth, 0);
+            ref.maxWidth = coerceNumberProperty(this.maxWidth, Infinity);
+            ref.minHeight = coerceNumberProperty(this.minHeight, 0);
+            ref.maxHeight = coerceNumberProperty(this.maxHeight, Infinity);
+            ref.lockAspectRatio = coerceBooleanProperty(this.lockAspectRatio);
+            ref.keyboardStep = coerceNumberProperty(this.keyboardStep, 10);
+            ref.withBoundaryElement(this._getBoundaryElement());
+        });
+    }
+    /** Handles the events from the underlying ResizeRef. */
+    _handleEvents(ref) {
+        ref.started.subscribe(event => {
+            this.started.emit({ source: this, handle: this._getHandle(event.handle) });
+            // Since all of these events run outside of change detection,
+            // we need to ensure that everything is marked correctly.
+            this._changeDetectorRef.markForCheck();
+        });
+        ref.resized.subscribe(event => {
+            this.resized.emit({
+                source: this,
+                handle: this._getHandle(event.handle),
+                width: event.width,
+                height: event.height
+            });
+            this._changeDetectorRef.markForCheck();
+        });
+        ref.ended.subscribe(event => {
+            this.ended.emit({
+                source: this,
+                handle: this._getHandle(event.handle),
+                width: event.width,
+                height: event.height
+            });
+            this._changeDetectorRef.markForCheck();
+        });
+    }
+    /** Gets the handle directive that corresponds to an element. */
+    _getHandle(element) {
+        return this._handles.find(handle => handle.element.nativeElement === element);
+    }
+    /** Gets the boundary element, based on the `boundaryElement` value. */
+    _getBoundaryElement() {
+        const boundary = this.boundaryElement;
+        if (!boundary) {
+            return null;
+        }
+        if (typeof boundary === 'string') {
+            return getClosestMatchingAncestor(this.element.nativeElement, boundary);
+        }
+        const element = coerceElement(boundary);
+        if ((typeof ngDevMode === 'undefined' || ngDevMode) &&
+            !element.contains(this.element.nativeElement)) {
+            throw Error('Resizable element is not inside of the node passed into cdkResizableBoundary.');
+        }
+        return element;
+    }
+}
+CdkResizable.decorators = [
+    { type: Directive, args: [{
+                selector: '[cdkResizable]',
+                exportAs: 'cdkResizable',
+                host: {
+                    'class': 'cdk-resizable',
+                    '[class.cdk-resizable-disabled]': 'disabled',
+                    '[class.cdk-resizable-resizing]': '_resizeRef.isResizing()',
+                },
+                providers: [
+                    { provide: CDK_RESIZE_PARENT, useExisting: CdkResizable },
+                    { provide: CDK_TABLE_RESIZABLE, useExisting: CdkResizable },
+                ]
+            },] }
+];
+CdkResizable.ctorParameters = () => [
+    { type: ElementRef },
+    { type: DragDrop },
+    { type: ChangeDetectorRef },
+    { type: Directionality, decorators: [{ type: Optional }] },
+    { type: undefined, decorators: [{ type: Optional }, { type: Inject, args: [CDK_DRAG_CONFIG,] }] },
+    { type: undefined, decorators: [{ type: Optional }, { type: SkipSelf }, { type: Inject, args: [CDK_DRAG_PARENT,] }] }
+];
+CdkResizable.propDecorators = {
+    _handles: [{ type: ContentChildren, args: [CDK_RESIZE_HANDLE, { descendants: true },] }],
+    data: [{ type: Input, args: ['cdkResizableData',] }],
+    minWidth: [{ type: Input, args: ['cdkResizableMinWidth',] }],
+    maxWidth: [{ type: Input, args: ['cdkResizableMaxWidth',] }],
+    minHeight: [{ type: Input, args: ['cdkResizableMinHeight',] }],
+    maxHeight: [{ type: Input, args: ['cdkResizableMaxHeight',] }],
+    lockAspectRatio: [{ type: Input, args: ['cdkResizableLockAspectRatio',] }],
+    boundaryElement: [{ type: Input, args: ['cdkResizableBoundary',] }],
+    keyboardStep: [{ type: Input, args: ['cdkResizableKeyboardStep',] }],
+    disabled: [{ type: Input, args: ['cdkResizableDisabled',] }],
+    started: [{ type: Output, args: ['cdkResizableStarted',] }],
+    resized: [{ type: Output, args: ['cdkResizableResized',] }],
+    ended: [{ type: Output, args: ['cdkResizableEnded',] }]
+};
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoicmVzaXphYmxlLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiLi4vLi4vLi4vLi4vLi4vLi4vLi4vc3JjL2Nkay9kcmFnLWRyb3AvZGlyZWN0aXZlcy9yZXNpemFibGUudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUE7Ozs7OztHQU1HO0FBRUgsT0FBTyxFQUFDLGNBQWMsRUFBQyxNQUFNLG1CQUFtQixDQUFDO0FBQ2pELE9BQU8sRUFFTCxxQkFBcUIsRUFDckIsYUFBYSxFQUNiLG9CQUFvQixHQUVyQixNQUFNLHVCQUF1QixDQUFDO0FBQy9CLE9BQU8sRUFBQyxtQkFBbUIsRUFBQyxNQUFNLG9CQUFvQixDQUFDO0FBQ3ZELE9BQU8sRUFFTCxpQkFBaUIsRUFDakIsZUFBZSxFQUNmLFNBQVMsRUFDVCxVQUFVLEVBQ1YsWUFBWSxFQUNaLE1BQU0sRUFDTixLQUFLLEVBRUwsUUFBUSxFQUNSLE1BQU0sRUFDTixTQUFTLEVBQ1QsUUFBUSxHQUNULE1BQU0sZUFBZSxDQUFDO0FBQ3ZCLE9BQU8sRUFBQyxLQUFLLEVBQWMsT0FBTyxFQUFDLE1BQU0sTUFBTSxDQUFDO0FBQ2hELE9BQU8sRUFBQyxTQUFTLEVBQUUsU0FBUyxFQUFFLFNBQVMsRUFBQyxNQUFNLGdCQUFnQixDQUFDO0FBQy9ELE9BQU8sRUFBQywwQkFBMEIsRUFBQyxNQUFNLGNBQWMsQ0FBQztBQUN4RCxPQUFPLEVBQUMsZUFBZSxFQUFDLE1BQU0sZ0JBQWdCLENBQUM7QUFFL0MsT0FBTyxFQUFDLFFBQVEsRUFBQyxNQUFNLGNBQWMsQ0FBQztBQUN0QyxPQUFPLEVBQUMsaUJBQWlCLEVBQUMsTUFBTSxrQkFBa0IsQ0FBQztBQUVuRCxPQUFPLEVBQUMsaUJBQWlCLEVBQUMsTUFBTSxjQUFjLENBQUM7QUFDL0MsT0FBTyxFQUFDLGVBQWUsRUFBaUIsTUFBTSxVQUFVLENBQUM7QUFDekQsT0FBTyxFQUFDLGlCQUFpQixFQUFrQixNQUFNLGlCQUFpQixDQUFDO0FBRW5FOzs7R0FHRztBQWNILE1BQU0sT0FBTyxZQUFZO0lBMkR2QjtJQUNJLHFDQUFxQztJQUM5QixPQUFnQyxFQUFFLFFBQWtCLEVBQ25ELGtCQUFxQyxFQUN6QixJQUFxQixFQUNKLE1BQXVCLEVBQ1gsVUFBZ0I7UUFKMUQsWUFBTyxHQUFQLE9BQU8sQ0FBeUI7UUFDL0IsdUJBQWtCLEdBQWxCLGtCQUFrQixDQUFtQjtRQUN6QixTQUFJLEdBQUosSUFBSSxDQUFpQjtRQTlEN0MsMkNBQTJDO1FBQ25DLGVBQVUsR0FBRyxJQUFJLE9BQU8sRUFBUSxDQUFDO1FBNkN6Qyx1REFBdUQ7UUFDeEIsWUFBTyxHQUNsQyxJQUFJLFlBQVksRUFBcUIsQ0FBQztRQUUxQyxpREFBaUQ7UUFDbEIsWUFBTyxHQUNsQyxJQUFJLFlBQVksRUFBZ0IsQ0FBQztRQUVyQyxzREFBc0Q7UUFDekIsVUFBSyxHQUM5QixJQUFJLFlBQVksRUFBbUIsQ0FBQztRQVV0QyxJQUFJLE9BQU8sU0FBUyxLQUFLLFdBQVcsSUFBSSxTQUFTLEVBQUU7WUFDakQsaUJBQWlCLENBQUMsT0FBTyxDQUFDLGFBQWEsRUFBRSxjQUFjLENBQUMsQ0FBQztTQUMxRDtRQUVELElBQUksQ0FBQyxVQUFVLEdBQUcsUUFBUSxDQUFDLGVBQWUsQ0FBQyxPQUFPLEVBQUU7WUFDbEQsa0JBQWtCLEVBQUUsTUFBTSxJQUFJLE1BQU0sQ0FBQyxrQkFBa0IsSUFBSSxJQUFJLENBQUMsQ0FBQztnQkFDN0QsTUFBTSxDQUFDLGtCQUFrQixDQUFDLENBQUMsQ0FBQyxDQUFDO1lBQ2pDLCtCQUErQixFQUFFLE1BQU0sSUFBSSxNQUFNLENBQUMsK0JBQStCLElBQUksSUFBSSxDQUFDLENBQUM7Z0JBQ3ZGLE1BQU0sQ0FBQywrQkFBK0IsQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUM5QyxxRUFBcUU7WUFDckUseUVBQXlFO1lBQ3pFLGFBQWEsRUFBRSxVQUFVLENBQUMsQ0FBQyxDQUFDLFVBQVUsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLFNBQVM7U0FDNUQsQ0FBQyxDQUFDO1FBQ0gsSUFBSSxDQUFDLFVBQVUsQ0FBQyxJQUFJLEdBQUcsSUFBSSxDQUFDO1FBQzVCLElBQUksQ0FBQyxXQUFXLENBQUMsSUFBSSxDQUFDLFVBQVUsQ0FBQyxDQUFDO1FBQ2xDLElBQUksQ0FBQyxhQUFhLENBQUMsSUFBSSxDQUFDLFVBQVUsQ0FBQyxDQUFDO0lBQ3RDLENBQUM7SUE3Q0QsZ0RBQWdEO0lBQ2hELElBQ0ksUUFBUSxLQUFjLE9BQU8sSUFBSSxDQUFDLFVBQVUsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDO0lBQzVELElBQUksUUFBUSxDQUFDLEtBQWM7UUFDekIsMkVBQTJFO1FBQzNFLCtEQUErRDtRQUMvRCxJQUFJLENBQUMsVUFBVSxDQUFDLFFBQVEsR0FBRyxxQkFBcUIsQ0FBQyxLQUFLLENBQUMsQ0FBQztJQUMxRCxDQUFDO0lBd0NELGVBQWU7UUFDYixJQUFJLENBQUMsUUFBUSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQ3hCLFNBQVMsQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDO1FBQ3hCLDREQUE0RDtRQUM1RCxTQUFTLENBQUMsQ0FBQyxPQUFtQyxFQUFFLEVBQUU7WUFDaEQsT0FBTyxLQUFLLENBQUMsR0FBRyxPQUFPLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLGFBQWEsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUMvRCxTQUFTLENBQUMsSUFBSSxDQUFDLENBQ08sQ0FBQztRQUMzQixDQUFDLENBQUMsRUFDRixTQUFTLENBQUMsSUFBSSxDQUFDLFVBQVUsQ0FBQyxDQUMzQixDQUFDLFNBQVMsQ0FBQyxHQUFHLEVBQUU7WUFDZixJQUFJLENBQUMsVUFBVSxDQUFDLFdBQVcsQ0FBQyxJQUFJLENBQUMsUUFBUTtpQkFDdEMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLGdCQUFnQixLQUFLLElBQUksQ0FBQztpQkFDbEQsR0FBRyxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsQ0FBQyxFQUFDLE9BQU8sRUFBRSxNQUFNLENBQUMsT0FBTyxFQUFFLFFBQVEsRUFBRSxNQUFNLENBQUMsUUFBUSxFQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDNUUsQ0FBQyxDQUFDLENBQUM7SUFDTCxDQUFDO0lBRUQsV0FBVztRQUNULElBQUksQ0FBQyxVQUFVLENBQUMsSUFBSSxFQUFFLENBQUM7UUFDdkIsSUFBSSxDQUFDLFVBQVUsQ0FBQyxRQUFRLEVBQUUsQ0FBQztRQUMzQixJQUFJLENBQUMsVUFBVSxDQUFDLE9BQU8sRUFBRSxDQUFDO0lBQzVCLENBQUM7SUFFRCx5RkFBeUY7SUFDakYsV0FBVyxDQUFDLEdBQStCO1FBQ2pELElBQUksSUFBSSxDQUFDLElBQUksRUFBRTtZQUNiLElBQUksQ0FBQyxJQUFJLENBQUMsTUFBTTtpQkFDYixJQUFJLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLEVBQUUsU0FBUyxDQUFDLElBQUksQ0FBQyxVQUFVLENBQUMsQ0FBQztpQkFDNUQsU0FBUyxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsR0FBRyxDQUFDLGFBQWEsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDO1NBQ2pEO1FBRUQsR0FBRyxDQUFDLGFBQWEsQ0FBQyxTQUFTLENBQUMsR0FBRyxFQUFFO1lBQy9CLEdBQUcsQ0FBQyxRQUFRLEdBQUcsb0JBQW9CLENBQUMsSUFBSSxDQUFDLFFBQVEsRUFBRSxDQUFDLENBQUMsQ0FBQztZQUN0RCxHQUFHLENBQUMsUUFBUSxHQUFHLG9CQUFvQixDQUFDLElBQUksQ0FBQyxRQUFRLEVBQUUsUUFBUSxDQUFDLENBQUM7WUFDN0QsR0FBRyxDQUFDLFNBQVMsR0FBRyxvQkFBb0IsQ0FBQyxJQUFJLENBQUMsU0FBUyxFQUFFLENBQUMsQ0FBQyxDQUFDO1lBQ3hELEdBQUcsQ0FBQyxTQUFTLEdBQUcsb0JBQW9CLENBQUMsSUFBSSxDQUFDLFNBQVMsRUFBRSxRQUFRLENBQUMsQ0FBQztZQUMvRCxHQUFHLENBQUMsZUFBZSxHQUFHLHFCQUFxQixDQUFDLElBQUksQ0FBQyxlQUFlLENBQUMsQ0FBQztZQUNsRSxHQUFHLENBQUMsWUFBWSxHQUFHLG9CQUFvQixDQUFDLElBQUksQ0FBQyxZQUFZLEVBQUUsRUFBRSxDQUFDLENBQUM7WUFDL0QsR0FBRyxDQUFDLG1CQUFtQixDQUFDLElBQUksQ0FBQyxtQkFBbUIsRUFBRSxDQUFDLENBQUM7UUFDdEQsQ0FBQyxDQUFDLENBQUM7SUFDTCxDQUFDO0lBRUQsd0RBQXdEO0lBQ2hELGFBQWEsQ0FBQyxHQUErQjtRQUNuRCxHQUFHLENBQUMsT0FBTyxDQUFDLFNBQVMsQ0FBQyxLQUFLLENBQUMsRUFBRTtZQUM1QixJQUFJLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxFQUFDLE1BQU0sRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFLElBQUksQ0FBQyxVQUFVLENBQUMsS0FBSyxDQUFDLE1BQU0sQ0FBQyxFQUFDLENBQUMsQ0FBQztZQUV6RSw2REFBNkQ7WUFDN0QseURBQXlEO1lBQ3pELElBQUksQ0FBQyxrQkFBa0IsQ0FBQyxZQUFZLEVBQUUsQ0FBQztRQUN6QyxDQUFDLENBQUMsQ0FBQztRQUVILEdBQUcsQ0FBQyxPQUFPLENBQUMsU0FBUyxDQUFDLEtBQUssQ0FBQyxFQUFFO1lBQzVCLElBQUksQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDO2dCQUNoQixNQUFNLEVBQUUsSUFBSTtnQkFDWixNQUFNLEVBQUUsSUFBSSxDQUFDLFVBQVUsQ0FBQyxLQUFLLENBQUMsTUFBTSxDQUFDO2dCQUNyQyxLQUFLLEVBQUUsS0FBSyxDQUFDLEtBQUs7Z0JBQ2xCLE1BQU0sRUFBRSxLQUFLLENBQUMsTUFBTTthQUNyQixDQUFDLENBQUM7WUFDSCxJQUFJLENBQUMsa0JBQWtCLENBQUMsWUFBWSxFQUFFLENBQUM7UUFDekMsQ0FBQyxDQUFDLENBQUM7UUFFSCxHQUFHLENBQUMsS0FBSyxDQUFDLFNBQVMsQ0FBQyxLQUFLLENBQUMsRUFBRTtZQUMxQixJQUFJLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQztnQkFDZCxNQUFNLEVBQUUsSUFBSTtnQkFDWixNQUFNLEVBQUUsSUFBSSxDQUFDLFVBQVUsQ0FBQyxLQUFLLENBQUMsTUFBTSxDQUFDO2dCQUNyQyxLQUFLLEVBQUUsS0FBSyxDQUFDLEtBQUs7Z0JBQ2xCLE1BQU0sRUFBRSxLQUFLLENBQUMsTUFBTTthQUNyQixDQUFDLENBQUM7WUFDSCxJQUFJLENBQUMsa0JBQWtCLENBQUMsWUFBWSxFQUFFLENBQUM7UUFDekMsQ0FBQyxDQUFDLENBQUM7SUFDTCxDQUFDO0lBRUQsZ0VBQWdFO0lBQ3hELFVBQVUsQ0FBQyxPQUFvQjtRQUNyQyxPQUFPLElBQUksQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLE9BQU8sQ0FBQyxhQUFhLEtBQUssT0FBTyxDQUFFLENBQUM7SUFDakYsQ0FBQztJQUVELHVFQUF1RTtJQUMvRCxtQkFBbUI7UUFDekIsTUFBTSxRQUFRLEdBQUcsSUFBSSxDQUFDLGVBQWUsQ0FBQztRQUV0QyxJQUFJLENBQUMsUUFBUSxFQUFFO1lBQ2IsT0FBTyxJQUFJLENBQUM7U0FDYjtRQUVELElBQUksT0FBTyxRQUFRLEtBQUssUUFBUSxFQUFFO1lBQ2hDLE9BQU8sMEJBQTBCLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxhQUFhLEVBQUUsUUFBUSxDQUFDLENBQUM7U0FDekU7UUFFRCxNQUFNLE9BQU8sR0FBRyxhQUFhLENBQUMsUUFBUSxDQUFDLENBQUM7UUFFeEMsSUFBSSxDQUFDLE9BQU8sU0FBUyxLQUFLLFdBQVcsSUFBSSxTQUFTLENBQUM7WUFDakQsQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsYUFBYSxDQUFDLEVBQUU7WUFDL0MsTUFBTSxLQUFLLENBQUMsK0VBQStFLENBQUMsQ0FBQztTQUM5RjtRQUVELE9BQU8sT0FBTyxDQUFDO0lBQ2pCLENBQUM7OztZQXBNRixTQUFTLFNBQUM7Z0JBQ1QsUUFBUSxFQUFFLGdCQUFnQjtnQkFDMUIsUUFBUSxFQUFFLGNBQWM7Z0JBQ3hCLElBQUksRUFBRTtvQkFDSixPQUFPLEVBQUUsZUFBZTtvQkFDeEIsZ0NBQWdDLEVBQUUsVUFBVTtvQkFDNUMsZ0NBQWdDLEVBQUUseUJBQXlCO2lCQUM1RDtnQkFDRCxTQUFTLEVBQUU7b0JBQ1QsRUFBQyxPQUFPLEVBQUUsaUJBQWlCLEVBQUUsV0FBVyxFQUFFLFlBQVksRUFBQztvQkFDdkQsRUFBQyxPQUFPLEVBQUUsbUJBQW1CLEVBQUUsV0FBVyxFQUFFLFlBQVksRUFBQztpQkFDMUQ7YUFDRjs7O1lBdENDLFVBQVU7WUFlSixRQUFRO1lBbEJkLGlCQUFpQjtZQVhYLGNBQWMsdUJBb0hmLFFBQVE7NENBQ1IsUUFBUSxZQUFJLE1BQU0sU0FBQyxlQUFlOzRDQUNsQyxRQUFRLFlBQUksUUFBUSxZQUFJLE1BQU0sU0FBQyxlQUFlOzs7dUJBekRsRCxlQUFlLFNBQUMsaUJBQWlCLEVBQUUsRUFBQyxXQUFXLEVBQUUsSUFBSSxFQUFDO21CQUd0RCxLQUFLLFNBQUMsa0JBQWtCO3VCQUd4QixLQUFLLFNBQUMsc0JBQXNCO3VCQUc1QixLQUFLLFNBQUMsc0JBQXNCO3dCQUc1QixLQUFLLFNBQUMsdUJBQXVCO3dCQUc3QixLQUFLLFNBQUMsdUJBQXVCOzhCQUc3QixLQUFLLFNBQUMsNkJBQTZCOzhCQU9uQyxLQUFLLFNBQUMsc0JBQXNCOzJCQUc1QixLQUFLLFNBQUMsMEJBQTBCO3VCQUdoQyxLQUFLLFNBQUMsc0JBQXNCO3NCQVM1QixNQUFNLFNBQUMscUJBQXFCO3NCQUk1QixNQUFNLFNBQUMscUJBQXFCO29CQUk1QixNQUFNLFNBQUMsbUJBQW1CIiwic291cmNlc0NvbnRlbnQiOlsiLyoqXG4gKiBAbGljZW5zZVxuICogQ29weXJpZ2h0IEdvb2dsZSBMTEMgQWxsIFJpZ2h0cyBSZXNlcnZlZC5cbiAqXG4gKiBVc2Ugb2YgdGhpcyBzb3VyY2UgY29kZSBpcyBnb3Zlcm5lZCBieSBhbiBNSVQtc3R5bGUgbGljZW5zZSB0aGF0IGNhbiBiZVxuICogZm91bmQgaW4gdGhlIExJQ0VOU0UgZmlsZSBhdCBodHRwczovL2FuZ3VsYXIuaW8vbGljZW5zZVxuICovXG5cbmltcG9ydCB7RGlyZWN0aW9uYWxpdHl9IGZyb20gJ0Bhbmd1bGFyL2Nkay9iaWRpJztcbmltcG9ydCB7XG4gIEJvb2xlYW5JbnB1dCxcbiAgY29lcmNlQm9vbGVhblByb3BlcnR5LFxuICBjb2VyY2VFbGVtZW50LFxuICBjb2VyY2VOdW1iZXJQcm9wZXJ0eSxcbiAgTnVtYmVySW5wdXQsXG59IGZyb20gJ0Bhbmd1bGFyL2Nkay9jb2VyY2lvbic7XG5pbXBvcnQge0NES19UQUJMRV9SRVNJWkFCTEV9IGZyb20gJ0Bhbmd1bGFyL2Nkay90YWJsZSc7XG5pbXBvcnQge1xuICBBZnRlclZpZXdJbml0LFxuICBDaGFuZ2VEZXRlY3RvclJlZixcbiAgQ29udGVudENoaWxkcmVuLFxuICBEaXJlY3RpdmUsXG4gIEVsZW1lbnRSZWYsXG4gIEV2ZW50RW1pdHRlcixcbiAgSW5qZWN0LFxuICBJbnB1dCxcbiAgT25EZXN0cm95LFxuICBPcHRpb25hbCxcbiAgT3V0cHV0LFxuICBRdWVyeUxpc3QsXG4gIFNraXBTZWxmLFxufSBmcm9tICdAYW5ndWxhci9jb3JlJztcbmltcG9ydCB7bWVyZ2UsIE9ic2VydmFibGUsIFN1YmplY3R9IGZyb20gJ3J4anMnO1xuaW1wb3J0IHtzdGFydFdpdGgsIHN3aXRjaE1hcCwgdGFrZVVudGlsfSBmcm9tICdyeGpzL29wZXJhdG9ycyc7XG5pbXBvcnQge2dldENsb3Nlc3RNYXRjaGluZ0FuY2VzdG9yfSBmcm9tICcuLi9kb20tcm9vdHMnO1xuaW1wb3J0IHtDREtfRFJBR19QQVJFTlR9IGZyb20gJy4uL2RyYWctcGFyZW50JztcbmltcG9ydCB7Q2RrUmVzaXplLCBDZGtSZXNpemVFbmQsIENka1Jlc2l6ZVN0YXJ0fSBmcm9tICcuLi9kcmFnLWV2ZW50cyc7XG5pbXBvcnQge0RyYWdEcm9wfSBmcm9tICcuLi9kcmFnLWRyb3AnO1xuaW1wb3J0IHtDREtfUkVTSVpFX1BBUkVOVH0gZnJvbSAnLi4vcmVzaXplLXBhcmVudCc7XG5pbXBvcnQge1Jlc2l6ZVJlZn0gZnJvbSAnLi4vcmVzaXplLXJlZic7XG5pbXBvcnQge2Fzc2VydEVsZW1lbnROb2RlfSBmcm9tICcuL2Fzc2VydGlvbnMnO1xuaW1wb3J0IHtDREtfRFJBR19DT05GSUcsIERyYWdEcm9wQ29uZmlnfSBmcm9tICcuL2NvbmZpZyc7XG5pbXBvcnQge0NES19SRVNJWkVfSEFORExFLCBDZGtSZXNpemVIYW5kbGV9IGZyb20gJy4vcmVzaXplLWhhbmRsZSc7XG5cbi8qKlxuICogRWxlbWVudCB0aGF0IGNhbiBiZSByZXNpemVkIGJ5IGRyYWdnaW5nIG9uZSBvZiBpdHMgYGNka1Jlc2l6ZUhhbmRsZWAgZWxlbWVudHMuIFdoZW4gaXQnc1xuICogcGxhY2VkIG9uIGEgaGVhZGVyIGNlbGwgb2YgYSBgQ2RrVGFibGVgLCB0aGUgd2lkdGggb2YgdGhlIGVudGlyZSBjb2x1bW4gY2hhbmdlcyBhbG9uZyB3aXRoIGl0LlxuICovXG5ARGlyZWN0aXZlKHtcbiAgc2VsZWN0b3I6ICdbY2RrUmVzaXphYmxlXScsXG4gIGV4cG9ydEFzOiAnY2RrUmVzaXphYmxlJyxcbiAgaG9zdDoge1xuICAgICdjbGFzcyc6ICdjZGstcmVzaXphYmxlJyxcbiAgICAnW2NsYXNzLmNkay1yZXNpemFibGUtZGlzYWJsZWRdJzogJ2Rpc2FibGVkJyxcbiAgICAnW2NsYXNzLmNkay1yZXNpemFibGUtcmVzaXppbmddJzogJ19yZXNpemVSZWYuaXNSZXNpemluZygpJyxcbiAgfSxcbiAgcHJvdmlkZXJzOiBbXG4gICAge3Byb3ZpZGU6IENES19SRVNJWkVfUEFSRU5ULCB1c2VFeGlzdGluZzogQ2RrUmVzaXphYmxlfSxcbiAgICB7cHJvdmlkZTogQ0RLX1RBQkxFX1JFU0laQUJMRSwgdXNlRXhpc3Rpbmc6IENka1Jlc2l6YWJsZX0sXG4gIF1cbn0pXG5leHBvcnQgY2xhc3MgQ2RrUmVzaXphYmxlPFQgPSBhbnk+IGltcGxlbWVudHMgQWZ0ZXJWaWV3SW5pdCwgT25EZXN0cm95IHtcbiAgLyoqIEVtaXRzIHdoZW4gdGhlIGVsZW1lbnQgaXMgZGVzdHJveWVkLiAqL1xuICBwcml2YXRlIF9kZXN0cm95ZWQgPSBuZXcgU3ViamVjdDx2b2lkPigpO1xuXG4gIC8qKiBSZWZlcmVuY2UgdG8gdGhlIHVuZGVybHlpbmcgcmVzaXplIGluc3RhbmNlLiAqL1xuICBfcmVzaXplUmVmOiBSZXNpemVSZWY8Q2RrUmVzaXphYmxlPFQ+PjtcblxuICAvKiogRWxlbWVudHMgdGhhdCBjYW4gYmUgdXNlZCB0byByZXNpemUgdGhlIGVsZW1lbnQuICovXG4gIEBDb250ZW50Q2hpbGRyZW4oQ0RLX1JFU0laRV9IQU5ETEUsIHtkZXNjZW5kYW50czogdHJ1ZX0pIF9oYW5kbGVzOiBRdWVyeUxpc3Q8Q2RrUmVzaXplSGFuZGxlPjtcblxuICAvKiogQXJiaXRyYXJ5IGRhdGEgdG8gYXR0YWNoIHRvIHRoaXMgcmVzaXphYmxlIGVsZW1lbnQuICovXG4gIEBJbnB1dCgnY2RrUmVzaXphYmxlRGF0YScpIGRhdGE6IFQ7XG5cbiAgLyoqIE1pbmltdW0gd2lkdGggb2YgdGhlIGVsZW1lbnQsIGluIHBpeGVscy4gKi9cbiAgQElucHV0KCdjZGtSZXNpemFibGVNaW5XaWR0aCcpIG1pbldpZHRoOiBudW1iZXI7XG5cbiAgLyoqIE1heGltdW0gd2lkdGggb2YgdGhlIGVsZW1lbnQsIGluIHBpeGVscy4gKi9cbiAgQElucHV0KCdjZGtSZXNpemFibGVNYXhXaWR0aCcpIG1heFdpZHRoOiBudW1iZXI7XG5cbiAgLyoqIE1pbmltdW0gaGVpZ2h0IG9mIHRoZSBlbGVtZW50LCBpbiBwaXhlbHMuICovXG4gIEBJbnB1dCgnY2RrUmVzaXphYmxlTWluSGVpZ2h0JykgbWluSGVpZ2h0OiBudW1iZXI7XG5cbiAgLyoqIE1heGltdW0gaGVpZ2h0IG9mIHRoZSBlbGVtZW50LCBpbiBwaXhlbHMuICovXG4gIEBJbnB1dCgnY2RrUmVzaXphYmxlTWF4SGVpZ2h0JykgbWF4SGVpZ2h0OiBudW1iZXI7XG5cbiAgLyoqIFdoZXRoZXIgdG8gcHJlc2VydmUgdGhlIHJhdGlvIGJldHdlZW4gdGhlIGVsZW1lbnQncyB3aWR0aCBhbmQgaGVpZ2h0IHdoaWxlIHJlc2l6aW5nLiAqL1xuICBASW5wdXQoJ2Nka1Jlc2l6YWJsZUxvY2tBc3BlY3RSYXRpbycpIGxvY2tBc3BlY3RSYXRpbzogYm9vbGVhbjtcblxuICAvKipcbiAgICogTm9kZSBvciBzZWxlY3RvciB0aGF0IHdpbGwgYmUgdXNlZCB0byBkZXRlcm1pbmUgdGhlIGVsZW1lbnQgdGhhdCB0aGUgcmVzaXphYmxlIGVsZW1lbnRcbiAgICogY2FuJ3QgZ3JvdyBiZXlvbmQuIElmIGEgc2VsZWN0b3IgaXMgcGFzc2VkIGluLCBpdCdsbCBiZSB1c2VkIHRvIGZpbmQgdGhlIGNsb3Nlc3QgYW5jZXN0b3JcbiAgICogdGhhdCBtYXRjaGVzIGl0LlxuICAgKi9cbiAgQElucHV0KCdjZGtSZXNpemFibGVCb3VuZGFyeScpIGJvdW5kYXJ5RWxlbWVudDogc3RyaW5nIHwgRWxlbWVudFJlZjxIVE1MRWxlbWVudD4gfCBIVE1MRWxlbWVudDtcblxuICAvKiogQW1vdW50IG9mIHBpeGVscyBieSB3aGljaCB0byByZXNpemUgdGhlIGVsZW1lbnQgd2hlbiB0aGUgdXNlciBwcmVzc2VzIGFuIGFycm93IGtleS4gKi9cbiAgQElucHV0KCdjZGtSZXNpemFibGVLZXlib2FyZFN0ZXAnKSBrZXlib2FyZFN0ZXA6IG51bWJlcjtcblxuICAvKiogV2hldGhlciByZXNpemluZyB0aGUgZWxlbWVudCBpcyBkaXNhYmxlZC4gKi9cbiAgQElucHV0KCdjZGtSZXNpemFibGVEaXNhYmxlZCcpXG4gIGdldCBkaXNhYmxlZCgpOiBib29sZWFuIHsgcmV0dXJuIHRoaXMuX3Jlc2l6ZVJlZi5kaXNhYmxlZDsgfVxuICBzZXQgZGlzYWJsZWQodmFsdWU6IGJvb2xlYW4pIHtcbiAgICAvLyBSZXNpemluZyBjYW4gYmUgZGlzYWJsZWQgYmVmb3JlIHRoZSB1c2VyIGhhcyBpbnRlcmFjdGVkIHdpdGggdGhlIGVsZW1lbnRcbiAgICAvLyBzbyB3ZSBuZWVkIHRvIHN5bmMgdGhlIHZhbHVlIHdpdGggdGhlIHJlZiBhcyBpdCdzIGJlaW5nIHNldC5cbiAgICB0aGlzLl9yZXNpemVSZWYuZGlzYWJsZWQgPSBjb2VyY2VCb29sZWFuUHJvcGVydHkodmFsdWUpO1xuICB9XG5cbiAgLyoqIEVtaXRzIHdoZW4gdGhlIHVzZXIgc3RhcnRzIHJlc2l6aW5nIHRoZSBlbGVtZW50LiAqL1xuICBAT3V0cHV0KCdjZGtSZXNpemFibGVTdGFydGVkJykgc3RhcnRlZDogRXZlbnRFbWl0dGVyPENka1Jlc2l6ZVN0YXJ0PFQ+PiA9XG4gICAgICBuZXcgRXZlbnRFbWl0dGVyPENka1Jlc2l6ZVN0YXJ0PFQ+PigpO1xuXG4gIC8qKiBFbWl0cyBhcyB0aGUgdXNlciBpcyByZXNpemluZyB0aGUgZWxlbWVudC4gKi9cbiAgQE91dHB1dCgnY2RrUmVzaXphYmxlUmVzaXplZCcpIHJlc2l6ZWQ6IEV2ZW50RW1pdHRlcjxDZGtSZXNpemU8VD4+ID1cbiAgICAgIG5ldyBFdmVudEVtaXR0ZXI8Q2RrUmVzaXplPFQ+PigpO1xuXG4gIC8qKiBFbWl0cyB3aGVuIHRoZSB1c2VyIHN0b3BzIHJlc2l6aW5nIHRoZSBlbGVtZW50LiAqL1xuICBAT3V0cHV0KCdjZGtSZXNpemFibGVFbmRlZCcpIGVuZGVkOiBFdmVudEVtaXR0ZXI8Q2RrUmVzaXplRW5kPFQ+PiA9XG4gICAgICBuZXcgRXZlbnRFbWl0dGVyPENka1Jlc2l6ZUVuZDxUPj4oKTtcblxuICBjb25zdHJ1Y3RvcihcbiAgICAgIC8qKiBFbGVtZW50IHRoYXQgaXMgYmVpbmcgcmVzaXplZC4gKi9cbiAgICAgIHB1YmxpYyBlbGVtZW50OiBFbGVtZW50UmVmPEhUTUxFbGVtZW50PiwgZHJhZ0Ryb3A6IERyYWdEcm9wLFxuICAgICAgcHJpdmF0ZSBfY2hhbmdlRGV0ZWN0b3JSZWY6IENoYW5nZURldGVjdG9yUmVmLFxuICAgICAgQE9wdGlvbmFsKCkgcHJpdmF0ZSBfZGlyPzogRGlyZWN0aW9uYWxpdHksXG4gICAgICBAT3B0aW9uYWwoKSBASW5qZWN0KENES19EUkFHX0NPTkZJRykgY29uZmlnPzogRHJhZ0Ryb3BDb25maWcsXG4gICAgICBAT3B0aW9uYWwoKSBAU2tpcFNlbGYoKSBASW5qZWN0KENES19EUkFHX1BBUkVOVCkgcGFyZW50RHJhZz86IGFueSkge1xuXG4gICAgaWYgKHR5cGVvZiBuZ0Rldk1vZGUgPT09ICd1bmRlZmluZWQnIHx8IG5nRGV2TW9kZSkge1xuICAgICAgYXNzZXJ0RWxlbWVudE5vZGUoZWxlbWVudC5uYXRpdmVFbGVtZW50LCAnY2RrUmVzaXphYmxlJyk7XG4gICAgfVxuXG4gICAgdGhpcy5fcmVzaXplUmVmID0gZHJhZ0Ryb3AuY3JlYXRlUmVzaXphYmxlKGVsZW1lbnQsIHtcbiAgICAgIGRyYWdTdGFydFRocmVzaG9sZDogY29uZmlnICYmIGNvbmZpZy5kcmFnU3RhcnRUaHJlc2hvbGQgIT0gbnVsbCA/XG4gICAgICAgICAgY29uZmlnLmRyYWdTdGFydFRocmVzaG9sZCA6IDUsXG4gICAgICBwb2ludGVyRGlyZWN0aW9uQ2hhbmdlVGhyZXNob2xkOiBjb25maWcgJiYgY29uZmlnLnBvaW50ZXJEaXJlY3Rpb25DaGFuZ2VUaHJlc2hvbGQgIT0gbnVsbCA/XG4gICAgICAgICAgY29uZmlnLnBvaW50ZXJEaXJlY3Rpb25DaGFuZ2VUaHJlc2hvbGQgOiA1LFxuICAgICAgLy8gU2V0dGluZyB0aGUgcGFyZW50IHByZXZlbnRzIHRoZSBwb2ludGVyIGV2ZW50cyBvZiB0aGUgaGFuZGxlcyBmcm9tXG4gICAgICAvLyBzdGFydGluZyBhIGRyYWcgc2VxdWVuY2Ugb24gYSBgY2RrRHJhZ2AgdGhhdCB0aGUgZWxlbWVudCBpcyBpbnNpZGUgb2YuXG4gICAgICBwYXJlbnREcmFnUmVmOiBwYXJlbnREcmFnID8gcGFyZW50RHJhZy5fZHJhZ1JlZiA6IHVuZGVmaW5lZFxuICAgIH0pO1xuICAgIHRoaXMuX3Jlc2l6ZVJlZi5kYXRhID0gdGhpcztcbiAgICB0aGlzLl9zeW5jSW5wdXRzKHRoaXMuX3Jlc2l6ZVJlZik7XG4gICAgdGhpcy5faGFuZGxlRXZlbnRzKHRoaXMuX3Jlc2l6ZVJlZik7XG4gIH1cblxuICBuZ0FmdGVyVmlld0luaXQoKSB7XG4gICAgdGhpcy5faGFuZGxlcy5jaGFuZ2VzLnBpcGUoXG4gICAgICBzdGFydFdpdGgodGhpcy5faGFuZGxlcyksXG4gICAgICAvLyBSZS1zeW5jIHRoZSBoYW5kbGVzIGlmIGFueSBvZiB0aGVtIGNoYW5nZSB0aGVpciBwb3NpdGlvbi5cbiAgICAgIHN3aXRjaE1hcCgoaGFuZGxlczogUXVlcnlMaXN0PENka1Jlc2l6ZUhhbmRsZT4pID0+IHtcbiAgICAgICAgcmV0dXJuIG1lcmdlKC4uLmhhbmRsZXMubWFwKGhhbmRsZSA9PiBoYW5kbGUuX3N0YXRlQ2hhbmdlcykpLnBpcGUoXG4gICAgICAgICAgc3RhcnRXaXRoKG51bGwpXG4gICAgICAgICkgYXMgT2JzZXJ2YWJsZTx1bmtub3duPjtcbiAgICAgIH0pLFxuICAgICAgdGFrZVVudGlsKHRoaXMuX2Rlc3Ryb3llZClcbiAgICApLnN1YnNjcmliZSgoKSA9PiB7XG4gICAgICB0aGlzLl9yZXNpemVSZWYud2l0aEhhbmRsZXModGhpcy5faGFuZGxlc1xuICAgICAgICAuZmlsdGVyKGhhbmRsZSA9PiBoYW5kbGUuX3BhcmVudFJlc2l6YWJsZSA9PT0gdGhpcylcbiAgICAgICAgLm1hcChoYW5kbGUgPT4gKHtlbGVtZW50OiBoYW5kbGUuZWxlbWVudCwgcG9zaXRpb246IGhhbmRsZS5wb3NpdGlvbn0pKSk7XG4gICAgfSk7XG4gIH1cblxuICBuZ09uRGVzdHJveSgpIHtcbiAgICB0aGlzLl9kZXN0cm95ZWQubmV4dCgpO1xuICAgIHRoaXMuX2Rlc3Ryb3llZC5jb21wbGV0ZSgpO1xuICAgIHRoaXMuX3Jlc2l6ZVJlZi5kaXNwb3NlKCk7XG4gIH1cblxuICAvKiogU3luY3MgdGhlIGlucHV0cyBvZiB0aGUgQ2RrUmVzaXphYmxlIHdpdGggdGhlIG9wdGlvbnMgb2YgdGhlIHVuZGVybHlpbmcgUmVzaXplUmVmLiAqL1xuICBwcml2YXRlIF9zeW5jSW5wdXRzKHJlZjogUmVzaXplUmVmPENka1Jlc2l6YWJsZTxUPj4pIHtcbiAgICBpZiAodGhpcy5fZGlyKSB7XG4gICAgICB0aGlzLl9kaXIuY2hhbmdlXG4gICAgICAgIC5waXBlKHN0YXJ0V2l0aCh0aGlzLl9kaXIudmFsdWUpLCB0YWtlVW50aWwodGhpcy5fZGVzdHJveWVkKSlcbiAgICAgICAgLnN1YnNjcmliZSh2YWx1ZSA9PiByZWYud2l0aERpcmVjdGlvbih2YWx1ZSkpO1xuICAgIH1cblxuICAgIHJlZi5iZWZvcmVTdGFydGVkLnN1YnNjcmliZSgoKSA9PiB7XG4gICAgICByZWYubWluV2lkdGggPSBjb2VyY2VOdW1iZXJQcm9wZXJ0eSh0aGlzLm1pbldpZHRoLCAwKTtcbiAgICAgIHJlZi5tYXhXaWR0aCA9IGNvZXJjZU51bWJlclByb3BlcnR5KHRoaXMubWF4V2lkdGgsIEluZmluaXR5KTtcbiAgICAgIHJlZi5taW5IZWlnaHQgPSBjb2VyY2VOdW1iZXJQcm9wZXJ0eSh0aGlzLm1pbkhlaWdodCwgMCk7XG4gICAgICByZWYubWF4SGVpZ2h0ID0gY29lcmNlTnVtYmVyUHJvcGVydHkodGhpcy5tYXhIZWlnaHQsIEluZmluaXR5KTtcbiAgICAgIHJlZi5sb2NrQXNwZWN0UmF0aW8gPSBjb2VyY2VCb29sZWFuUHJvcGVydHkodGhpcy5sb2NrQXNwZWN0UmF0aW8pO1xuICAgICAgcmVmLmtleWJvYXJkU3RlcCA9IGNvZXJjZU51bWJlclByb3BlcnR5KHRoaXMua2V5Ym9hcmRTdGVwLCAxMCk7XG4gICAgICByZWYud2l0aEJvdW5kYXJ5RWxlbWVudCh0aGlzLl9nZXRCb3VuZGFyeUVsZW1lbnQoKSk7XG4gICAgfSk7XG4gIH1cblxuICAvKiogSGFuZGxlcyB0aGUgZXZlbnRzIGZyb20gdGhlIHVuZGVybHlpbmcgUmVzaXplUmVmLiAqL1xuICBwcml2YXRlIF9oYW5kbGVFdmVudHMocmVmOiBSZXNpemVSZWY8Q2RrUmVzaXphYmxlPFQ+Pikge1xuICAgIHJlZi5zdGFydGVkLnN1YnNjcmliZShldmVudCA9PiB7XG4gICAgICB0aGlzLnN0YXJ0ZWQuZW1pdCh7c291cmNlOiB0aGlzLCBoYW5kbGU6IHRoaXMuX2dldEhhbmRsZShldmVudC5oYW5kbGUpfSk7XG5cbiAgICAgIC8vIFNpbmNlIGFsbCBvZiB0aGVzZSBldmVudHMgcnVuIG91dHNpZGUgb2YgY2hhbmdlIGRldGVjdGlvbixcbiAgICAgIC8vIHdlIG5lZWQgdG8gZW5zdXJlIHRoYXQgZXZlcnl0aGluZyBpcyBtYXJrZWQgY29ycmVjdGx5LlxuICAgICAgdGhpcy5fY2hhbmdlRGV0ZWN0b3JSZWYubWFya0ZvckNoZWNrKCk7XG4gICAgfSk7XG5cbiAgICByZWYucmVzaXplZC5zdWJzY3JpYmUoZXZlbnQgPT4ge1xuICAgICAgdGhpcy5yZXNpemVkLmVtaXQoe1xuICAgICAgICBzb3VyY2U6IHRoaXMsXG4gICAgICAgIGhhbmRsZTogdGhpcy5fZ2V0SGFuZGxlKGV2ZW50LmhhbmRsZSksXG4gICAgICAgIHdpZHRoOiBldmVudC53aWR0aCxcbiAgICAgICAgaGVpZ2h0OiBldmVudC5oZWlnaHRcbiAgICAgIH0pO1xuICAgICAgdGhpcy5fY2hhbmdlRGV0ZWN0b3JSZWYubWFya0ZvckNoZWNrKCk7XG4gICAgfSk7XG5cbiAgICByZWYuZW5kZWQuc3Vic2NyaWJlKGV2ZW50ID0+IHtcbiAgICAgIHRoaXMuZW5kZWQuZW1pdCh7XG4gICAgICAgIHNvdXJjZTogdGhpcyxcbiAgICAgICAgaGFuZGxlOiB0aGlzLl9nZXRIYW5kbGUoZXZlbnQuaGFuZGxlKSxcbiAgICAgICAgd2lkdGg6IGV2ZW50LndpZHRoLFxuICAgICAgICBoZWlnaHQ6IGV2ZW50LmhlaWdodFxuICAgICAgfSk7XG4gICAgICB0aGlzLl9jaGFuZ2VEZXRlY3RvclJlZi5tYXJrRm9yQ2hlY2soKTtcbiAgICB9KTtcbiAgfVxuXG4gIC8qKiBHZXRzIHRoZSBoYW5kbGUgZGlyZWN0aXZlIHRoYXQgY29ycmVzcG9uZHMgdG8gYW4gZWxlbWVudC4gKi9cbiAgcHJpdmF0ZSBfZ2V0SGFuZGxlKGVsZW1lbnQ6IEhUTUxFbGVtZW50KTogQ2RrUmVzaXplSGFuZGxlIHtcbiAgICByZXR1cm4gdGhpcy5faGFuZGxlcy5maW5kKGhhbmRsZSA9PiBoYW5kbGUuZWxlbWVudC5uYXRpdmVFbGVtZW50ID09PSBlbGVtZW50KSE7XG4gIH1cblxuICAvKiogR2V0cyB0aGUgYm91bmRhcnkgZWxlbWVudCwgYmFzZWQgb24gdGhlIGBib3VuZGFyeUVsZW1lbnRgIHZhbHVlLiAqL1xuICBwcml2YXRlIF9nZXRCb3VuZGFyeUVsZW1lbnQoKSB7XG4gICAgY29uc3QgYm91bmRhcnkgPSB0aGlzLmJvdW5kYXJ5RWxlbWVudDtcblxuICAgIGlmICghYm91bmRhcnkpIHtcbiAgICAgIHJldHVybiBudWxsO1xuICAgIH1cblxuICAgIGlmICh0eXBlb2YgYm91bmRhcnkgPT09ICdzdHJpbmcnKSB7XG4gICAgICByZXR1cm4gZ2V0Q2xvc2VzdE1hdGNoaW5nQW5jZXN0b3IodGhpcy5lbGVtZW50Lm5hdGl2ZUVsZW1lbnQsIGJvdW5kYXJ5KTtcbiAgICB9XG5cbiAgICBjb25zdCBlbGVtZW50ID0gY29lcmNlRWxlbWVudChib3VuZGFyeSk7XG5cbiAgICBpZiAoKHR5cGVvZiBuZ0Rldk1vZGUgPT09ICd1bmRlZmluZWQnIHx8IG5nRGV2TW9kZSkgJiZcbiAgICAgICFlbGVtZW50LmNvbnRhaW5zKHRoaXMuZWxlbWVudC5uYXRpdmVFbGVtZW50KSkge1xuICAgICAgdGhyb3cgRXJyb3IoJ1Jlc2l6YWJsZSBlbGVtZW50IGlzIG5vdCBpbnNpZGUgb2YgdGhlIG5vZGUgcGFzc2VkIGludG8gY2RrUmVzaXphYmxlQm91bmRhcnkuJyk7XG4gICAgfVxuXG4gICAgcmV0dXJuIGVsZW1lbnQ7XG4gIH1cblxuICBzdGF0aWMgbmdBY2NlcHRJbnB1dFR5cGVfbWluV2lkdGg6IE51bWJlcklucHV0O1xuICBzdGF0aWMgbmdBY2NlcHRJbnB1dFR5cGVfbWF4V2lkdGg6IE51bWJlcklucHV0O1xuICBzdGF0aWMgbmdBY2NlcHRJbnB1dFR5cGVfbWluSGVpZ2h0OiBOdW1iZXJJbnB1dDtcbiAgc3RhdGljIG5nQWNjZXB0SW5wdXRUeXBlX21heEhlaWdodDogTnVtYmVySW5wdXQ7XG4gIHN0YXRpYyBuZ0FjY2VwdElucHV0VHlwZV9sb2NrQXNwZWN0UmF0aW86IEJvb2xlYW5JbnB1dDtcbiAgc3RhdGljIG5nQWNjZXB0SW5wdXRUeXBlX2tleWJvYXJkU3RlcDogTnVtYmVySW5wdXQ7XG4gIHN0YXRpYyBuZ0FjY2VwdElucHV0VHlwZV9kaXNhYmxlZDogQm9vbGVhbklucHV0O1xufVxuIl19
\ No newline at end of file
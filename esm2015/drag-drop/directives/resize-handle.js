@@ -0,0 +1,63 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { Directive, ElementRef, Inject, InjectionToken, Input, Optional, SkipSelf, } from '@angular/core';
+import { Subject } from 'rxjs';
+import { CDK_RESIZE_PARENT } from '../resize-parent';
+import { assertElementNode } from './assertions';
+/**
+ * Injection token that can be used to reference instances of `CdkResizeHandle`. It serves as
+ * alternative token to the actual `CdkResizeHandle` class which could cause unnecessary
+ * retention of the class and its directive metadata.
+ */
+export const CDK_RESIZE_HANDLE = new InjectionToken('CdkResizeHandle');
+/**
+ * Handle that can be used to resize a `CdkResizable`. Can be focused and
+ * moved using the arrow keys in order to resize with the keyboard.
+ */
+export class CdkResizeHandle {
+    constructor(element, parentResizable) {
+        this.element = element;
+        /** Emits when the state of the handle has changed. */
+        this._stateChanges = new Subject();
+        this._position = 'bottom-end';
+        if (typeof ngDevMode === 'undefined' || ngDevMode) {
+            assertElementNode(element.nativeElement, 'cdkResizeHandle');
+        }
+        this._parentResizable = parentResizable;
+    }
+    /**
+     * Position of the handle, relative to the element that it resizes. Determines
+     * along which axes the element is resized. Defaults to `bottom-end`.
+     */
+    get position() { return this._position; }
+    set position(value) {
+        this._position = value || 'bottom-end';
+        this._stateChanges.next(this);
+    }
+    ngOnDestroy() {
+        this._stateChanges.complete();
+    }
+}
+CdkResizeHandle.decorators = [
+    { type: Directive, args: [{
+                selector: '[cdkResizeHandle]',
+                host: {
+                    'class': 'cdk-resize-handle',
+                    'tabindex': '0',
+                },
+                providers: [{ provide: CDK_RESIZE_HANDLE, useExisting: CdkResizeHandle }],
+            },] }
+];
+CdkResizeHandle.ctorParameters = () => [
+    { type: ElementRef },
+    { type: undefined, decorators: [{ type: Inject, args: [CDK_RESIZE_PARENT,] }, { type: Optional }, { type: SkipSelf }] }
+];
+CdkResizeHandle.propDecorators = {
+    position: [{ type: Input, args: ['cdkResizeHandle',] }]
+};
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoicmVzaXplLWhhbmRsZS5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbIi4uLy4uLy4uLy4uLy4uLy4uLy4uL3NyYy9jZGsvZHJhZy1kcm9wL2RpcmVjdGl2ZXMvcmVzaXplLWhhbmRsZS50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiQUFBQTs7Ozs7O0dBTUc7QUFFSCxPQUFPLEVBQ0wsU0FBUyxFQUNULFVBQVUsRUFDVixNQUFNLEVBQ04sY0FBYyxFQUNkLEtBQUssRUFFTCxRQUFRLEVBQ1IsUUFBUSxHQUNULE1BQU0sZUFBZSxDQUFDO0FBQ3ZCLE9BQU8sRUFBQyxPQUFPLEVBQUMsTUFBTSxNQUFNLENBQUM7QUFDN0IsT0FBTyxFQUFDLGlCQUFpQixFQUFDLE1BQU0sa0JBQWtCLENBQUM7QUFFbkQsT0FBTyxFQUFDLGlCQUFpQixFQUFDLE1BQU0sY0FBYyxDQUFDO0FBRS9DOzs7O0dBSUc7QUFDSCxNQUFNLENBQUMsTUFBTSxpQkFBaUIsR0FBRyxJQUFJLGNBQWMsQ0FBa0IsaUJBQWlCLENBQUMsQ0FBQztBQUV4Rjs7O0dBR0c7QUFTSCxNQUFNLE9BQU8sZUFBZTtJQW1CMUIsWUFDUyxPQUFnQyxFQUNZLGVBQXFCO1FBRGpFLFlBQU8sR0FBUCxPQUFPLENBQXlCO1FBaEJ6QyxzREFBc0Q7UUFDdEQsa0JBQWEsR0FBRyxJQUFJLE9BQU8sRUFBbUIsQ0FBQztRQVl2QyxjQUFTLEdBQXlCLFlBQVksQ0FBQztRQU1yRCxJQUFJLE9BQU8sU0FBUyxLQUFLLFdBQVcsSUFBSSxTQUFTLEVBQUU7WUFDakQsaUJBQWlCLENBQUMsT0FBTyxDQUFDLGFBQWEsRUFBRSxpQkFBaUIsQ0FBQyxDQUFDO1NBQzdEO1FBRUQsSUFBSSxDQUFDLGdCQUFnQixHQUFHLGVBQWUsQ0FBQztJQUMxQyxDQUFDO0lBckJEOzs7T0FHRztJQUNILElBQ0ksUUFBUSxLQUEyQixPQUFPLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDO0lBQy9ELElBQUksUUFBUSxDQUFDLEtBQTJCO1FBQ3RDLElBQUksQ0FBQyxTQUFTLEdBQUcsS0FBSyxJQUFJLFlBQVksQ0FBQztRQUN2QyxJQUFJLENBQUMsYUFBYSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUNoQyxDQUFDO0lBY0QsV0FBVztRQUNULElBQUksQ0FBQyxhQUFhLENBQUMsUUFBUSxFQUFFLENBQUM7SUFDaEMsQ0FBQzs7O1lBeENGLFNBQVMsU0FBQztnQkFDVCxRQUFRLEVBQUUsbUJBQW1CO2dCQUM3QixJQUFJLEVBQUU7b0JBQ0osT0FBTyxFQUFFLG1CQUFtQjtvQkFDNUIsVUFBVSxFQUFFLEdBQUc7aUJBQ2hCO2dCQUNELFNBQVMsRUFBRSxDQUFDLEVBQUMsT0FBTyxFQUFFLGlCQUFpQixFQUFFLFdBQVcsRUFBRSxlQUFlLEVBQUMsQ0FBQzthQUN4RTs7O1lBL0JDLFVBQVU7NENBcURQLE1BQU0sU0FBQyxpQkFBaUIsY0FBRyxRQUFRLFlBQUksUUFBUTs7O3VCQVZqRCxLQUFLLFNBQUMsaUJBQWlCIiwic291cmNlc0NvbnRlbnQiOlsiLyoqXG4gKiBAbGljZW5zZVxuICogQ29weXJpZ2h0IEdvb2dsZSBMTEMgQWxsIFJpZ2h0cyBSZXNlcnZlZC5cbiAqXG4gKiBVc2Ugb2YgdGhpcyBzb3VyY2UgY29kZSBpcyBnb3Zlcm5lZCBieSBhbiBNSVQtc3R5bGUgbGljZW5zZSB0aGF0IGNhbiBiZVxuICogZm91bmQgaW4gdGhlIExJQ0VOU0UgZmlsZSBhdCBodHRwczovL2FuZ3VsYXIuaW8vbGljZW5zZVxuICovXG5cbmltcG9ydCB7XG4gIERpcmVjdGl2ZSxcbiAgRWxlbWVudFJlZixcbiAgSW5qZWN0LFxuICBJbmplY3Rpb25Ub2tlbixcbiAgSW5wdXQsXG4gIE9uRGVzdHJveSxcbiAgT3B0aW9uYWwsXG4gIFNraXBTZWxmLFxufSBmcm9tICdAYW5ndWxhci9jb3JlJztcbmltcG9ydCB7U3ViamVjdH0gZnJvbSAncnhqcyc7XG5pbXBvcnQge0NES19SRVNJWkVfUEFSRU5UfSBmcm9tICcuLi9yZXNpemUtcGFyZW50JztcbmltcG9ydCB7UmVzaXplSGFuZGxlUG9zaXRpb259IGZyb20gJy4uL3Jlc2l6ZS1yZWYnO1xuaW1wb3J0IHthc3NlcnRFbGVtZW50Tm9kZX0gZnJvbSAnLi9hc3NlcnRpb25zJztcblxuLyoqXG4gKiBJbmplY3Rpb24gdG9rZW4gdGhhdCBjYW4gYmUgdXNlZCB0byByZWZlcmVuY2UgaW5zdGFuY2VzIG9mIGBDZGtSZXNpemVIYW5kbGVgLiBJdCBzZXJ2ZXMgYXNcbiAqIGFsdGVybmF0aXZlIHRva2VuIHRvIHRoZSBhY3R1YWwgYENka1Jlc2l6ZUhhbmRsZWAgY2xhc3Mgd2hpY2ggY291bGQgY2F1c2UgdW5uZWNlc3NhcnlcbiAqIHJldGVudGlvbiBvZiB0aGUgY2xhc3MgYW5kIGl0cyBkaXJlY3RpdmUgbWV0YWRhdGEuXG4gKi9cbmV4cG9ydCBjb25zdCBDREtfUkVTSVpFX0hBTkRMRSA9IG5ldyBJbmplY3Rpb25Ub2tlbjxDZGtSZXNpemVIYW5kbGU+KCdDZGtSZXNpemVIYW5kbGUnKTtcblxuLyoqXG4gKiBIYW5kbGUgdGhhdCBjYW4gYmUgdXNlZCB0byByZXNpemUgYSBgQ2RrUmVzaXphYmxlYC4gQ2FuIGJlIGZvY3VzZWQgYW5kXG4gKiBtb3ZlZCB1c2luZyB0aGUgYXJyb3cga2V5cyBpbiBvcmRlciB0byByZXNpemUgd2l0aCB0aGUga2V5Ym9hcmQuXG4gKi9cbkBEaXJlY3RpdmUoe1xuICBzZWxlY3RvcjogJ1tjZGtSZXNpemVIYW5kbGVdJyxcbiAgaG9zdDoge1xuICAgICdjbGFzcyc6ICdjZGstcmVzaXplLWhhbmRsZScsXG4gICAgJ3RhYmluZGV4JzogJzAnLFxuICB9LFxuICBwcm92aWRlcnM6IFt7cHJvdmlkZTogQ0RLX1JFU0laRV9IQU5ETEUsIHVzZUV4aXN0aW5nOiBDZGtSZXNpemVIYW5kbGV9XSxcbn0pXG5leHBvcnQgY2xhc3MgQ2RrUmVzaXplSGFuZGxlIGltcGxlbWVudHMgT25EZXN0cm95IHtcbiAgLyoqIENsb3Nlc3QgcGFyZW50IHJlc2l6YWJsZSBpbnN0YW5jZS4gKi9cbiAgX3BhcmVudFJlc2l6YWJsZToge30gfCB1bmRlZmluZWQ7XG5cbiAgLyoqIEVtaXRzIHdoZW4gdGhlIHN0YXRlIG9mIHRoZSBoYW5kbGUgaGFzIGNoYW5nZWQuICovXG4gIF9zdGF0ZUNoYW5nZXMgPSBuZXcgU3ViamVjdDxDZGtSZXNpemVIYW5kbGU+KCk7XG5cbiAgLyoqXG4gICAqIFBvc2l0aW9uIG9mIHRoZSBoYW5kbGUsIHJlbGF0aXZlIHRvIHRoZSBlbGVtZW50IHRoYXQgaXQgcmVzaXplcy4gRGV0ZXJtaW5lc1xuICAgKiBhbG9uZyB3aGljaCBheGVzIHRoZSBlbGVtZW50IGlzIHJlc2l6ZWQuIERlZmF1bHRzIHRvIGBib3R0b20tZW5kYC5cbiAgICovXG4gIEBJbnB1dCgnY2RrUmVzaXplSGFuZGxlJylcbiAgZ2V0IHBvc2l0aW9uKCk6IFJlc2l6ZUhhbmRsZVBvc2l0aW9uIHsgcmV0dXJuIHRoaXMuX3Bvc2l0aW9uOyB9XG4gIHNldCBwb3NpdGlvbih2YWx1ZTogUmVzaXplSGFuZGxlUG9zaXRpb24pIHtcbiAgICB0aGlzLl9wb3NpdGlvbiA9IHZhbHVlIHx8ICdib3R0b20tZW5kJztcbiAgICB0aGlzLl9zdGF0ZUNoYW5nZXMubmV4dCh0aGlzKTtcbiAgfVxuICBwcml2YXRlIF9wb3NpdGlvbjogUmVzaXplSGFuZGxlUG9zaXRpb24gPSAnYm90dG9tLWVuZCc7XG5cbiAgY29uc3RydWN0b3IoXG4gICAgcHVibGljIGVsZW1lbnQ6IEVsZW1lbnRSZWY8SFRNTEVsZW1lbnQ+LFxuICAgIEBJbmplY3QoQ0RLX1JFU0laRV9QQVJFTlQpIEBPcHRpb25hbCgpIEBTa2lwU2VsZigpIHBhcmVudFJlc2l6YWJsZT86IGFueSkge1xuXG4gICAgaWYgKHR5cGVvZiBuZ0Rldk1vZGUgPT09ICd1bmRlZmluZWQnIHx8IG5nRGV2TW9kZSkge1xuICAgICAgYXNzZXJ0RWxlbWVudE5vZGUoZWxlbWVudC5uYXRpdmVFbGVtZW50LCAnY2RrUmVzaXplSGFuZGxlJyk7XG4gICAgfVxuXG4gICAgdGhpcy5fcGFyZW50UmVzaXphYmxlID0gcGFyZW50UmVzaXphYmxlO1xuICB9XG5cbiAgbmdPbkRlc3Ryb3koKSB7XG4gICAgdGhpcy5fc3RhdGVDaGFuZ2VzLmNvbXBsZXRlKCk7XG4gIH1cbn1cbiJdfQ==
\ No newline at end of file
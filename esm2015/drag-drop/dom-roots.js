@@ -0,0 +1,131 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * Gets the offset of the frame that a node is rendered in, relative to a reference document.
+ * Used to translate coordinates from a same-origin frame into the coordinate space of the
+ * document that the drag&drop services are running in. The offset is zero if the node is
+ * inside the reference document or the frame can't be accessed.
+ * @param node Node whose frame offset should be determined.
+ * @param referenceDocument Document relative to which the offset should be calculated.
+ */
+export function getFrameOffset(node, referenceDocument) {
+    const offset = { x: 0, y: 0 };
+    let currentDocument = node.ownerDocument || node;
+    while (currentDocument && currentDocument !== referenceDocument) {
+        const frame = getFrameElement(currentDocument);
+        if (!frame) {
+            break;
+        }
+        const frameOffset = getFrameContentOffset(frame);
+        offset.x += frameOffset.x;
+        offset.y += frameOffset.y;
+        currentDocument = frame.ownerDocument;
+    }
+    return offset;
+}
+/** Gets the document in which an event was dispatched. */
+export function getEventDocument(event) {
+    return event.view ? event.view.document : null;
+}
+/**
+ * Finds the top-most element at a specific point, taking shadow roots and same-origin
+ * frames into account. Unlike `elementFromPoint`, the result isn't retargeted to a
+ * shadow host or a frame element if the point is inside one of them.
+ * @param referenceDocument Document from which to start looking.
+ * @param x Position along the X axis, relative to the reference document's viewport.
+ * @param y Position along the Y axis, relative to the reference document's viewport.
+ */
+export function getDeepElementFromPoint(referenceDocument, x, y) {
+    let root = referenceDocument;
+    let result = null;
+    while (root) {
+        const element = root.elementFromPoint(x, y);
+        // A shadow root will return its host if there's nothing inside of it at the point.
+        if (!element || element === result) {
+            break;
+        }
+        result = element;
+        if (element.shadowRoot) {
+            root = element.shadowRoot;
+        }
+        else {
+            const frameDocument = getFrameDocument(element);
+            if (!frameDocument) {
+                break;
+            }
+            const frameOffset = getFrameContentOffset(element);
+            x -= frameOffset.x;
+            y -= frameOffset.y;
+            root = frameDocument;
+        }
+    }
+    return result;
+}
+/**
+ * Checks whether a node contains another node, including through shadow roots and frames.
+ * @param ancestor Node that may contain the other node.
+ * @param node Node that is being checked.
+ */
+export function deepContains(ancestor, node) {
+    let current = node;
+    while (current) {
+        if (current === ancestor) {
+            return true;
+        }
+        current = current.parentNode || current.host ||
+            (current.nodeType === current.DOCUMENT_NODE ?
+                getFrameElement(current) : null);
+    }
+    return false;
+}
+/** Gets the closest ancestor of an element that matches a selector. */
+export function getClosestMatchingAncestor(element, selector) {
+    let currentElement = element.parentElement;
+    while (currentElement) {
+        // IE doesn't support `matches` so we have to fall back to `msMatchesSelector`.
+        if (currentElement.matches ? currentElement.matches(selector) :
+            currentElement.msMatchesSelector(selector)) {
+            return currentElement;
+        }
+        currentElement = currentElement.parentElement;
+    }
+    return null;
+}
+/** Gets the frame element that is hosting a document, if it's accessible. */
+function getFrameElement(document) {
+    try {
+        return document.defaultView ? document.defaultView.frameElement : null;
+    }
+    catch (_a) {
+        // Accessing the frame element of a cross-origin frame throws.
+        return null;
+    }
+}
+/** Gets the content document of a frame element, if it's a same-origin frame. */
+function getFrameDocument(element) {
+    if (element.nodeName !== 'IFRAME' && element.nodeName !== 'FRAME') {
+        return null;
+    }
+    try {
+        return element.contentDocument;
+    }
+    catch (_a) {
+        return null;
+    }
+}
+/** Gets the position of a frame's content box, relative to the viewport of its document. */
+function getFrameContentOffset(frame) {
+    const rect = frame.getBoundingClientRect();
+    const view = frame.ownerDocument.defaultView;
+    const styles = view ? view.getComputedStyle(frame) : null;
+    return {
+        x: rect.left + frame.clientLeft + (styles ? parseFloat(styles.paddingLeft) || 0 : 0),
+        y: rect.top + frame.clientTop + (styles ? parseFloat(styles.paddingTop) || 0 : 0)
+    };
+}
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZG9tLXJvb3RzLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiLi4vLi4vLi4vLi4vLi4vLi4vc3JjL2Nkay9kcmFnLWRyb3AvZG9tLXJvb3RzLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBOzs7Ozs7R0FNRztBQVFIOzs7Ozs7O0dBT0c7QUFDSCxNQUFNLFVBQVUsY0FBYyxDQUFDLElBQVUsRUFBRSxpQkFBMkI7SUFDcEUsTUFBTSxNQUFNLEdBQUcsRUFBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUMsQ0FBQztJQUM1QixJQUFJLGVBQWUsR0FBb0IsSUFBSSxDQUFDLGFBQWEsSUFBSSxJQUFnQixDQUFDO0lBRTlFLE9BQU8sZUFBZSxJQUFJLGVBQWUsS0FBSyxpQkFBaUIsRUFBRTtRQUMvRCxNQUFNLEtBQUssR0FBRyxlQUFlLENBQUMsZUFBZSxDQUFDLENBQUM7UUFFL0MsSUFBSSxDQUFDLEtBQUssRUFBRTtZQUNWLE1BQU07U0FDUDtRQUVELE1BQU0sV0FBVyxHQUFHLHFCQUFxQixDQUFDLEtBQUssQ0FBQyxDQUFDO1FBQ2pELE1BQU0sQ0FBQyxDQUFDLElBQUksV0FBVyxDQUFDLENBQUMsQ0FBQztRQUMxQixNQUFNLENBQUMsQ0FBQyxJQUFJLFdBQVcsQ0FBQyxDQUFDLENBQUM7UUFDMUIsZUFBZSxHQUFHLEtBQUssQ0FBQyxhQUFhLENBQUM7S0FDdkM7SUFFRCxPQUFPLE1BQU0sQ0FBQztBQUNoQixDQUFDO0FBRUQsMERBQTBEO0FBQzFELE1BQU0sVUFBVSxnQkFBZ0IsQ0FBQyxLQUFjO0lBQzdDLE9BQU8sS0FBSyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQztBQUNqRCxDQUFDO0FBRUQ7Ozs7Ozs7R0FPRztBQUNILE1BQU0sVUFBVSx1QkFBdUIsQ0FBQyxpQkFBMkIsRUFDM0IsQ0FBUyxFQUFFLENBQVM7SUFDMUQsSUFBSSxJQUFJLEdBQXlCLGlCQUFpQixDQUFDO0lBQ25ELElBQUksTUFBTSxHQUFtQixJQUFJLENBQUM7SUFFbEMsT0FBTyxJQUFJLEVBQUU7UUFDWCxNQUFNLE9BQU8sR0FBbUIsSUFBSSxDQUFDLGdCQUFnQixDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQztRQUU1RCxtRkFBbUY7UUFDbkYsSUFBSSxDQUFDLE9BQU8sSUFBSSxPQUFPLEtBQUssTUFBTSxFQUFFO1lBQ2xDLE1BQU07U0FDUDtRQUVELE1BQU0sR0FBRyxPQUFPLENBQUM7UUFFakIsSUFBSSxPQUFPLENBQUMsVUFBVSxFQUFFO1lBQ3RCLElBQUksR0FBRyxPQUFPLENBQUMsVUFBVSxDQUFDO1NBQzNCO2FBQU07WUFDTCxNQUFNLGFBQWEsR0FBRyxnQkFBZ0IsQ0FBQyxPQUFPLENBQUMsQ0FBQztZQUVoRCxJQUFJLENBQUMsYUFBYSxFQUFFO2dCQUNsQixNQUFNO2FBQ1A7WUFFRCxNQUFNLFdBQVcsR0FBRyxxQkFBcUIsQ0FBQyxPQUE0QixDQUFDLENBQUM7WUFDeEUsQ0FBQyxJQUFJLFdBQVcsQ0FBQyxDQUFDLENBQUM7WUFDbkIsQ0FBQyxJQUFJLFdBQVcsQ0FBQyxDQUFDLENBQUM7WUFDbkIsSUFBSSxHQUFHLGFBQWEsQ0FBQztTQUN0QjtLQUNGO0lBRUQsT0FBTyxNQUFNLENBQUM7QUFDaEIsQ0FBQztBQUVEOzs7O0dBSUc7QUFDSCxNQUFNLFVBQVUsWUFBWSxDQUFDLFFBQWMsRUFBRSxJQUFpQjtJQUM1RCxJQUFJLE9BQU8sR0FBRyxJQUFJLENBQUM7SUFFbkIsT0FBTyxPQUFPLEVBQUU7UUFDZCxJQUFJLE9BQU8sS0FBSyxRQUFRLEVBQUU7WUFDeEIsT0FBTyxJQUFJLENBQUM7U0FDYjtRQUVELE9BQU8sR0FBRyxPQUFPLENBQUMsVUFBVSxJQUFLLE9BQXNCLENBQUMsSUFBSTtZQUNsRCxDQUFDLE9BQU8sQ0FBQyxRQUFRLEtBQUssT0FBTyxDQUFDLGFBQWEsQ0FBQyxDQUFDO2dCQUN6QyxlQUFlLENBQUMsT0FBbUIsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQztLQUM1RDtJQUVELE9BQU8sS0FBSyxDQUFDO0FBQ2YsQ0FBQztBQUVELHVFQUF1RTtBQUN2RSxNQUFNLFVBQVUsMEJBQTBCLENBQUMsT0FBb0IsRUFBRSxRQUFnQjtJQUMvRSxJQUFJLGNBQWMsR0FBRyxPQUFPLENBQUMsYUFBbUMsQ0FBQztJQUVqRSxPQUFPLGNBQWMsRUFBRTtRQUNyQiwrRUFBK0U7UUFDL0UsSUFBSSxjQUFjLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxjQUFjLENBQUMsT0FBTyxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUM7WUFDMUQsY0FBc0IsQ0FBQyxpQkFBaUIsQ0FBQyxRQUFRLENBQUMsRUFBRTtZQUN2RCxPQUFPLGNBQWMsQ0FBQztTQUN2QjtRQUVELGNBQWMsR0FBRyxjQUFjLENBQUMsYUFBYSxDQUFDO0tBQy9DO0lBRUQsT0FBTyxJQUFJLENBQUM7QUFDZCxDQUFDO0FBRUQsNkVBQTZFO0FBQzdFLFNBQVMsZUFBZSxDQUFDLFFBQWtCO0lBQ3pDLElBQUk7UUFDRixPQUFPLFFBQVEsQ0FBQyxXQUFXLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxXQUFXLENBQUMsWUFBa0MsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDO0tBQzlGO0lBQUMsV0FBTTtRQUNOLDhEQUE4RDtRQUM5RCxPQUFPLElBQUksQ0FBQztLQUNiO0FBQ0gsQ0FBQztBQUVELGlGQUFpRjtBQUNqRixTQUFTLGdCQUFnQixDQUFDLE9BQWdCO0lBQ3hDLElBQUksT0FBTyxDQUFDLFFBQVEsS0FBSyxRQUFRLElBQUksT0FBTyxDQUFDLFFBQVEsS0FBSyxPQUFPLEVBQUU7UUFDakUsT0FBTyxJQUFJLENBQUM7S0FDYjtJQUVELElBQUk7UUFDRixPQUFRLE9BQTZCLENBQUMsZUFBZSxDQUFDO0tBQ3ZEO0lBQUMsV0FBTTtRQUNOLE9BQU8sSUFBSSxDQUFDO0tBQ2I7QUFDSCxDQUFDO0FBRUQsNEZBQTRGO0FBQzVGLFNBQVMscUJBQXFCLENBQUMsS0FBa0I7SUFDL0MsTUFBTSxJQUFJLEdBQUcsS0FBSyxDQUFDLHFCQUFxQixFQUFFLENBQUM7SUFDM0MsTUFBTSxJQUFJLEdBQUcsS0FBSyxDQUFDLGFBQWEsQ0FBQyxXQUFXLENBQUM7SUFDN0MsTUFBTSxNQUFNLEdBQUcsSUFBSSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsZ0JBQWdCLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQztJQUUxRCxPQUFPO1FBQ0wsQ0FBQyxFQUFFLElBQUksQ0FBQyxJQUFJLEdBQUcsS0FBSyxDQUFDLFVBQVUsR0FBRyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsVUFBVSxDQUFDLE1BQU0sQ0FBQyxXQUFXLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUNwRixDQUFDLEVBQUUsSUFBSSxDQUFDLEdBQUcsR0FBRyxLQUFLLENBQUMsU0FBUyxHQUFHLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxVQUFVLENBQUMsTUFBTSxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO0tBQ2xGLENBQUM7QUFDSixDQUFDIiwic291cmNlc0NvbnRlbnQiOlsiLyoqXG4gKiBAbGljZW5zZVxuICogQ29weXJpZ2h0IEdvb2dsZSBMTEMgQWxsIFJpZ2h0cyBSZXNlcnZlZC5cbiAqXG4gKiBVc2Ugb2YgdGhpcyBzb3VyY2UgY29kZSBpcyBnb3Zlcm5lZCBieSBhbiBNSVQtc3R5bGUgbGljZW5zZSB0aGF0IGNhbiBiZVxuICogZm91bmQgaW4gdGhlIExJQ0VOU0UgZmlsZSBhdCBodHRwczovL2FuZ3VsYXIuaW8vbGljZW5zZVxuICovXG5cbi8qKiBQb3NpdGlvbiBvZiBhIHNhbWUtb3JpZ2luIGZyYW1lJ3MgY29udGVudCwgcmVsYXRpdmUgdG8gdGhlIGRvY3VtZW50IHRoYXQgY29udGFpbnMgaXQuICovXG5pbnRlcmZhY2UgRnJhbWVPZmZzZXQge1xuICB4OiBudW1iZXI7XG4gIHk6IG51bWJlcjtcbn1cblxuLyoqXG4gKiBHZXRzIHRoZSBvZmZzZXQgb2YgdGhlIGZyYW1lIHRoYXQgYSBub2RlIGlzIHJlbmRlcmVkIGluLCByZWxhdGl2ZSB0byBhIHJlZmVyZW5jZSBkb2N1bWVudC5cbiAqIFVzZWQgdG8gdHJhbnNsYXRlIGNvb3JkaW5hdGVzIGZyb20gYSBzYW1lLW9yaWdpbiBmcmFtZSBpbnRvIHRoZSBjb29yZGluYXRlIHNwYWNlIG9mIHRoZVxuICogZG9jdW1lbnQgdGhhdCB0aGUgZHJhZyZkcm9wIHNlcnZpY2VzIGFyZSBydW5uaW5nIGluLiBUaGUgb2Zmc2V0IGlzIHplcm8gaWYgdGhlIG5vZGUgaXNcbiAqIGluc2lkZSB0aGUgcmVmZXJlbmNlIGRvY3VtZW50IG9yIHRoZSBmcmFtZSBjYW4ndCBiZSBhY2Nlc3NlZC5cbiAqIEBwYXJhbSBub2RlIE5vZGUgd2hvc2UgZnJhbWUgb2Zmc2V0IHNob3VsZCBiZSBkZXRlcm1pbmVkLlxuICogQHBhcmFtIHJlZmVyZW5jZURvY3VtZW50IERvY3VtZW50IHJlbGF0aXZlIHRvIHdoaWNoIHRoZSBvZmZzZXQgc2hvdWxkIGJlIGNhbGN1bGF0ZWQuXG4gKi9cbmV4cG9ydCBmdW5jdGlvbiBnZXRGcmFtZU9mZnNldChub2RlOiBOb2RlLCByZWZlcmVuY2VEb2N1bWVudDogRG9jdW1lbnQpOiBGcmFtZU9mZnNldCB7XG4gIGNvbnN0IG9mZnNldCA9IHt4OiAwLCB5OiAwfTtcbiAgbGV0IGN1cnJlbnREb2N1bWVudDogRG9jdW1lbnQgfCBudWxsID0gbm9kZS5vd25lckRvY3VtZW50IHx8IG5vZGUgYXMgRG9jdW1lbnQ7XG5cbiAgd2hpbGUgKGN1cnJlbnREb2N1bWVudCAmJiBjdXJyZW50RG9jdW1lbnQgIT09IHJlZmVyZW5jZURvY3VtZW50KSB7XG4gICAgY29uc3QgZnJhbWUgPSBnZXRGcmFtZUVsZW1lbnQoY3VycmVudERvY3VtZW50KTtcblxuICAgIGlmICghZnJhbWUpIHtcbiAgICAgIGJyZWFrO1xuICAgIH1cblxuICAgIGNvbnN0IGZyYW1lT2Zmc2V0ID0gZ2V0RnJhbWVDb250ZW50T2Zmc2V0KGZyYW1lKTtcbiAgICBvZmZzZXQueCArPSBmcmFtZU9mZnNldC54O1xuICAgIG9mZnNldC55ICs9IGZyYW1lT2Zmc2V0Lnk7XG4gICAgY3VycmVudERvY3VtZW50ID0gZnJhbWUub3duZXJEb2N1bWVudDtcbiAgfVxuXG4gIHJldHVybiBvZmZzZXQ7XG59XG5cbi8qKiBHZXRzIHRoZSBkb2N1bWVudCBpbiB3aGljaCBhbiBldmVudCB3YXMgZGlzcGF0Y2hlZC4gKi9cbmV4cG9ydCBmdW5jdGlvbiBnZXRFdmVudERvY3VtZW50KGV2ZW50OiBVSUV2ZW50KTogRG9jdW1lbnQgfCBudWxsIHtcbiAgcmV0dXJuIGV2ZW50LnZpZXcgPyBldmVudC52aWV3LmRvY3VtZW50IDogbnVsbDtcbn1cblxuLyoqXG4gKiBGaW5kcyB0aGUgdG9wLW1vc3QgZWxlbWVudCBhdCBhIHNwZWNpZmljIHBvaW50LCB0YWtpbmcgc2hhZG93IHJvb3RzIGFuZCBzYW1lLW9yaWdpblxuICogZnJhbWVzIGludG8gYWNjb3VudC4gVW5saWtlIGBlbGVtZW50RnJvbVBvaW50YCwgdGhlIHJlc3VsdCBpc24ndCByZXRhcmdldGVkIHRvIGFcbiAqIHNoYWRvdyBob3N0IG9yIGEgZnJhbWUgZWxlbWVudCBpZiB0aGUgcG9pbnQgaXMgaW5zaWRlIG9uZSBvZiB0aGVtLlxuICogQHBhcmFtIHJlZmVyZW5jZURvY3VtZW50IERvY3VtZW50IGZyb20gd2hpY2ggdG8gc3RhcnQgbG9va2luZy5cbiAqIEBwYXJhbSB4IFBvc2l0aW9uIGFsb25nIHRoZSBYIGF4aXMsIHJlbGF0aXZlIHRvIHRoZSByZWZlcmVuY2UgZG9jdW1lbnQncyB2aWV3cG9ydC5cbiAqIEBwYXJhbSB5IFBvc2l0aW9uIGFsb25nIHRoZSBZIGF4aXMsIHJlbGF0aXZlIHRvIHRoZSByZWZlcmVuY2UgZG9jdW1lbnQncyB2aWV3cG9ydC5cbiAqL1xuZXhwb3J0IGZ1bmN0aW9uIGdldERlZXBFbGVtZW50RnJvbVBvaW50KHJlZmVyZW5jZURvY3VtZW50OiBEb2N1bWVudCxcbiAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICB4OiBudW1iZXIsIHk6IG51bWJlcik6IEVsZW1lbnQgfCBudWxsIHtcbiAgbGV0IHJvb3Q6IERvY3VtZW50T3JTaGFkb3dSb290ID0gcmVmZXJlbmNlRG9jdW1lbnQ7XG4gIGxldCByZXN1bHQ6IEVsZW1lbnQgfCBudWxsID0gbnVsbDtcblxuICB3aGlsZSAocm9vdCkge1xuICAgIGNvbnN0IGVsZW1lbnQ6IEVsZW1lbnQgfCBudWxsID0gcm9vdC5lbGVtZW50RnJvbVBvaW50KHgsIHkpO1xuXG4gICAgLy8gQSBzaGFkb3cgcm9vdCB3aWxsIHJldHVybiBpdHMgaG9zdCBpZiB0aGVyZSdzIG5vdGhpbmcgaW5zaWRlIG9mIGl0IGF0IHRoZSBwb2ludC5cbiAgICBpZiAoIWVsZW1lbnQgfHwgZWxlbWVudCA9PT0gcmVzdWx0KSB7XG4gICAgICBicmVhaztcbiAgICB9XG5cbiAgICByZXN1bHQgPSBlbGVtZW50O1xuXG4gICAgaWYgKGVsZW1lbnQuc2hhZG93Um9vdCkge1xuICAgICAgcm9vdCA9IGVsZW1lbnQuc2hhZG93Um9vdDtcbiAgICB9IGVsc2Uge1xuICAgICAgY29uc3QgZnJhbWVEb2N1bWVudCA9IGdldEZyYW1lRG9jdW1lbnQoZWxlbWVudCk7XG5cbiAgICAgIGlmICghZnJhbWVEb2N1bWVudCkge1xuICAgICAgICBicmVhaztcbiAgICAgIH1cblxuICAgICAgY29uc3QgZnJhbWVPZmZzZXQgPSBnZXRGcmFtZUNvbnRlbnRPZmZzZXQoZWxlbWVudCBhcyBIVE1MSUZyYW1lRWxlbWVudCk7XG4gICAgICB4IC09IGZyYW1lT2Zmc2V0Lng7XG4gICAgICB5IC09IGZyYW1lT2Zmc2V0Lnk7XG4gICAgICByb290ID0gZnJhbWVEb2N1bWVudDtcbiAgICB9XG4gIH1cblxuICByZXR1cm4gcmVzdWx0O1xufVxuXG4vKipcbiAqIENoZWNrcyB3aGV0aGVyIGEgbm9kZSBjb250YWlucyBhbm90aGVyIG5vZGUsIGluY2x1ZGluZyB0aHJvdWdoIHNoYWRvdyByb290cyBhbmQgZnJhbWVzLlxuICogQHBhcmFtIGFuY2VzdG9yIE5vZGUgdGhhdCBtYXkgY29udGFpbiB0aGUgb3RoZXIgbm9kZS5cbiAqIEBwYXJhbSBub2RlIE5vZGUgdGhhdCBpcyBiZWluZyBjaGVja2VkLlxuICovXG5leHBvcnQgZnVuY3Rpb24gZGVlcENvbnRhaW5zKGFuY2VzdG9yOiBOb2RlLCBub2RlOiBOb2RlIHwgbnVsbCk6IGJvb2xlYW4ge1xuICBsZXQgY3VycmVudCA9IG5vZGU7XG5cbiAgd2hpbGUgKGN1cnJlbnQpIHtcbiAgICBpZiAoY3VycmVudCA9PT0gYW5jZXN0b3IpIHtcbiAgICAgIHJldHVybiB0cnVlO1xuICAgIH1cblxuICAgIGN1cnJlbnQgPSBjdXJyZW50LnBhcmVudE5vZGUgfHwgKGN1cnJlbnQgYXMgU2hhZG93Um9vdCkuaG9zdCB8fFxuICAgICAgICAgICAgICAoY3VycmVudC5ub2RlVHlwZSA9PT0gY3VycmVudC5ET0NVTUVOVF9OT0RFID9cbiAgICAgICAgICAgICAgICAgIGdldEZyYW1lRWxlbWVudChjdXJyZW50IGFzIERvY3VtZW50KSA6IG51bGwpO1xuICB9XG5cbiAgcmV0dXJuIGZhbHNlO1xufVxuXG4vKiogR2V0cyB0aGUgY2xvc2VzdCBhbmNlc3RvciBvZiBhbiBlbGVtZW50IHRoYXQgbWF0Y2hlcyBhIHNlbGVjdG9yLiAqL1xuZXhwb3J0IGZ1bmN0aW9uIGdldENsb3Nlc3RNYXRjaGluZ0FuY2VzdG9yKGVsZW1lbnQ6IEhUTUxFbGVtZW50LCBzZWxlY3Rvcjogc3RyaW5nKSB7XG4gIGxldCBjdXJyZW50RWxlbWVudCA9IGVsZW1lbnQucGFyZW50RWxlbWVudCBhcyBIVE1MRWxlbWVudCB8IG51bGw7XG5cbiAgd2hpbGUgKGN1cnJlbnRFbGVtZW50KSB7XG4gICAgLy8gSUUgZG9lc24ndCBzdXBwb3J0IGBtYXRjaGVzYCBzbyB3ZSBoYXZlIHRvIGZhbGwgYmFjayB0byBgbXNNYXRjaGVzU2VsZWN0b3JgLlxuICAgIGlmIChjdXJyZW50RWxlbWVudC5tYXRjaGVzID8gY3VycmVudEVsZW1lbnQubWF0Y2hlcyhzZWxlY3RvcikgOlxuICAgICAgICAoY3VycmVudEVsZW1lbnQgYXMgYW55KS5tc01hdGNoZXNTZWxlY3RvcihzZWxlY3RvcikpIHtcbiAgICAgIHJldHVybiBjdXJyZW50RWxlbWVudDtcbiAgICB9XG5cbiAgICBjdXJyZW50RWxlbWVudCA9IGN1cnJlbnRFbGVtZW50LnBhcmVudEVsZW1lbnQ7XG4gIH1cblxuICByZXR1cm4gbnVsbDtcbn1cblxuLyoqIEdldHMgdGhlIGZyYW1lIGVsZW1lbnQgdGhhdCBpcyBob3N0aW5nIGEgZG9jdW1lbnQsIGlmIGl0J3MgYWNjZXNzaWJsZS4gKi9cbmZ1bmN0aW9uIGdldEZyYW1lRWxlbWVudChkb2N1bWVudDogRG9jdW1lbnQpOiBIVE1MRWxlbWVudCB8IG51bGwge1xuICB0cnkge1xuICAgIHJldHVybiBkb2N1bWVudC5kZWZhdWx0VmlldyA/IGRvY3VtZW50LmRlZmF1bHRWaWV3LmZyYW1lRWxlbWVudCBhcyBIVE1MRWxlbWVudCB8IG51bGwgOiBudWxsO1xuICB9IGNhdGNoIHtcbiAgICAvLyBBY2Nlc3NpbmcgdGhlIGZyYW1lIGVsZW1lbnQgb2YgYSBjcm9zcy1vcmlnaW4gZnJhbWUgdGhyb3dzLlxuICAgIHJldHVybiBudWxsO1xuICB9XG59XG5cbi8qKiBHZXRzIHRoZSBjb250ZW50IGRvY3VtZW50IG9mIGEgZnJhbWUgZWxlbWVudCwgaWYgaXQncyBhIHNhbWUtb3JpZ2luIGZyYW1lLiAqL1xuZnVuY3Rpb24gZ2V0RnJhbWVEb2N1bWVudChlbGVtZW50OiBFbGVtZW50KTogRG9jdW1lbnQgfCBudWxsIHtcbiAgaWYgKGVsZW1lbnQubm9kZU5hbWUgIT09ICdJRlJBTUUnICYmIGVsZW1lbnQubm9kZU5hbWUgIT09ICdGUkFNRScpIHtcbiAgICByZXR1cm4gbnVsbDtcbiAgfVxuXG4gIHRyeSB7XG4gICAgcmV0dXJuIChlbGVtZW50IGFzIEhUTUxJRnJhbWVFbGVtZW50KS5jb250ZW50RG9jdW1lbnQ7XG4gIH0gY2F0Y2gge1xuICAgIHJldHVybiBudWxsO1xuICB9XG59XG5cbi8qKiBHZXRzIHRoZSBwb3NpdGlvbiBvZiBhIGZyYW1lJ3MgY29udGVudCBib3gsIHJlbGF0aXZlIHRvIHRoZSB2aWV3cG9ydCBvZiBpdHMgZG9jdW1lbnQuICovXG5mdW5jdGlvbiBnZXRGcmFtZUNvbnRlbnRPZmZzZXQoZnJhbWU6IEhUTUxFbGVtZW50KTogRnJhbWVPZmZzZXQge1xuICBjb25zdCByZWN0ID0gZnJhbWUuZ2V0Qm91bmRpbmdDbGllbnRSZWN0KCk7XG4gIGNvbnN0IHZpZXcgPSBmcmFtZS5vd25lckRvY3VtZW50LmRlZmF1bHRWaWV3O1xuICBjb25zdCBzdHlsZXMgPSB2aWV3ID8gdmlldy5nZXRDb21wdXRlZFN0eWxlKGZyYW1lKSA6IG51bGw7XG5cbiAgcmV0dXJuIHtcbiAgICB4OiByZWN0LmxlZnQgKyBmcmFtZS5jbGllbnRMZWZ0ICsgKHN0eWxlcyA/IHBhcnNlRmxvYXQoc3R5bGVzLnBhZGRpbmdMZWZ0KSB8fCAwIDogMCksXG4gICAgeTogcmVjdC50b3AgKyBmcmFtZS5jbGllbnRUb3AgKyAoc3R5bGVzID8gcGFyc2VGbG9hdChzdHlsZXMucGFkZGluZ1RvcCkgfHwgMCA6IDApXG4gIH07XG59XG4iXX0=
\ No newline at end of file
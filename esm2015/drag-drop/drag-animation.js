@@ -0,0 +1,23 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * Runs a custom animation function, making sure that errors
+ * inside of it don't prevent the drag sequence from completing.
+ * @returns Promise that resolves when the animation completes.
+ */
+export function runDragAnimation(animationFn, animation) {
+    let result;
+    try {
+        result = animationFn(animation);
+    }
+    catch (_a) {
+        return Promise.resolve();
+    }
+    return Promise.resolve(result).then(() => { }, () => { });
+}
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZHJhZy1hbmltYXRpb24uanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyIuLi8uLi8uLi8uLi8uLi8uLi9zcmMvY2RrL2RyYWctZHJvcC9kcmFnLWFuaW1hdGlvbi50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiQUFBQTs7Ozs7O0dBTUc7QUFvQ0g7Ozs7R0FJRztBQUNILE1BQU0sVUFBVSxnQkFBZ0IsQ0FBQyxXQUE0QixFQUM1QixTQUF3QjtJQUN2RCxJQUFJLE1BQStCLENBQUM7SUFFcEMsSUFBSTtRQUNGLE1BQU0sR0FBRyxXQUFXLENBQUMsU0FBUyxDQUFDLENBQUM7S0FDakM7SUFBQyxXQUFNO1FBQ04sT0FBTyxPQUFPLENBQUMsT0FBTyxFQUFFLENBQUM7S0FDMUI7SUFFRCxPQUFPLE9BQU8sQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsRUFBRSxHQUFFLENBQUMsRUFBRSxHQUFHLEVBQUUsR0FBRSxDQUFDLENBQUMsQ0FBQztBQUMxRCxDQUFDIiwic291cmNlc0NvbnRlbnQiOlsiLyoqXG4gKiBAbGljZW5zZVxuICogQ29weXJpZ2h0IEdvb2dsZSBMTEMgQWxsIFJpZ2h0cyBSZXNlcnZlZC5cbiAqXG4gKiBVc2Ugb2YgdGhpcyBzb3VyY2UgY29kZSBpcyBnb3Zlcm5lZCBieSBhbiBNSVQtc3R5bGUgbGljZW5zZSB0aGF0IGNhbiBiZVxuICogZm91bmQgaW4gdGhlIExJQ0VOU0UgZmlsZSBhdCBodHRwczovL2FuZ3VsYXIuaW8vbGljZW5zZVxuICovXG5cbmltcG9ydCB7RHJhZ1JlZiwgUG9pbnR9IGZyb20gJy4vZHJhZy1yZWYnO1xuXG4vKipcbiAqIEtpbmRzIG9mIGFuaW1hdGlvbnMgdGhhdCBhcmUgcGVyZm9ybWVkIHdoaWxlIGRyYWdnaW5nLlxuICogLSBgc29ydGAgLSBhIHNpYmxpbmcgaXMgbW92ZWQgb3V0IG9mIHRoZSB3YXkgd2hpbGUgdGhlIHVzZXIgaXMgc29ydGluZyBhIGxpc3QuXG4gKiAtIGByZXR1cm5gIC0gdGhlIHByZXZpZXcgaXMgbW92ZWQgdG8gdGhlIHBvc2l0aW9uIG9mIHRoZSBwbGFjZWhvbGRlciBvbmNlIHRoZSB1c2VyIGRyb3BzLlxuICogLSBgZW50ZXJgIC0gdGhlIHBsYWNlaG9sZGVyIGlzIGluc2VydGVkIGludG8gYSBuZXcgY29udGFpbmVyLlxuICovXG5leHBvcnQgdHlwZSBEcmFnQW5pbWF0aW9uVHlwZSA9ICdzb3J0JyB8ICdyZXR1cm4nIHwgJ2VudGVyJztcblxuLyoqIERlc2NyaWJlcyBhbiBhbmltYXRpb24gdGhhdCBpcyBhYm91dCB0byBiZSBwZXJmb3JtZWQgb24gYW4gZWxlbWVudC4gKi9cbmV4cG9ydCBpbnRlcmZhY2UgRHJhZ0FuaW1hdGlvbiB7XG4gIC8qKiBLaW5kIG9mIGFuaW1hdGlvbi4gKi9cbiAgdHlwZTogRHJhZ0FuaW1hdGlvblR5cGU7XG4gIC8qKiBFbGVtZW50IHRoYXQgaXMgYmVpbmcgYW5pbWF0ZWQuICovXG4gIGVsZW1lbnQ6IEhUTUxFbGVtZW50O1xuICAvKiogSXRlbSB0aGF0IGlzIGJlaW5nIGRyYWdnZWQuIE51bGwgd2hlbiB0aGUgYW5pbWF0aW9uIHdhcyBjYXVzZWQgYnkgbmF0aXZlIGRhdGEuICovXG4gIGl0ZW06IERyYWdSZWYgfCBudWxsO1xuICAvKiogVHJhbnNsYXRpb24gb2YgdGhlIGVsZW1lbnQsIGluIHBpeGVscywgYXQgd2hpY2ggdGhlIGFuaW1hdGlvbiBzaG91bGQgc3RhcnQuICovXG4gIGZyb206IFBvaW50O1xuICAvKiogVHJhbnNsYXRpb24gb2YgdGhlIGVsZW1lbnQsIGluIHBpeGVscywgYXQgd2hpY2ggdGhlIGFuaW1hdGlvbiBzaG91bGQgZW5kLiAqL1xuICB0bzogUG9pbnQ7XG59XG5cbi8qKlxuICogRnVuY3Rpb24gdGhhdCBjYW4gYmUgdXNlZCB0byBjdXN0b21pemUgdGhlIGFuaW1hdGlvbnMgcGVyZm9ybWVkIHdoaWxlIGRyYWdnaW5nLCBmb3IgZXhhbXBsZVxuICogYnkgY2FsbGluZyBgZWxlbWVudC5hbmltYXRlYCBmcm9tIHRoZSBXZWIgQW5pbWF0aW9ucyBBUEkuIEJ5IHRoZSB0aW1lIHRoZSBmdW5jdGlvbiBpcyBjYWxsZWQsXG4gKiB0aGUgZWxlbWVudCBoYXMgYmVlbiBtb3ZlZCB0byBpdHMgZmluYWwgcG9zaXRpb24gd2l0aG91dCBhIENTUyB0cmFuc2l0aW9uIHNvIG9ubHkgdGhlIHZpc3VhbFxuICogYW5pbWF0aW9uIGZyb20gYGZyb21gIHRvIGB0b2AgaGFzIHRvIGJlIHBlcmZvcm1lZC4gVGhlIHJldHVybmVkIHByb21pc2Ugc2hvdWxkIHJlc29sdmUgb25jZVxuICogdGhlIGFuaW1hdGlvbiBpcyBkb25lLiBSZXR1cm5pbmcgbm90aGluZyBtZWFucyB0aGF0IHRoZSBlbGVtZW50IHdvbid0IGJlIGFuaW1hdGVkLCB3aGljaCBjYW5cbiAqIGJlIHVzZWQgdG8gZGlzYWJsZSB0aGUgYW5pbWF0aW9ucyBhbHRvZ2V0aGVyLlxuICovXG5leHBvcnQgdHlwZSBEcmFnQW5pbWF0aW9uRm4gPSAoYW5pbWF0aW9uOiBEcmFnQW5pbWF0aW9uKSA9PiBQcm9taXNlPHVua25vd24+IHwgdm9pZDtcblxuLyoqXG4gKiBSdW5zIGEgY3VzdG9tIGFuaW1hdGlvbiBmdW5jdGlvbiwgbWFraW5nIHN1cmUgdGhhdCBlcnJvcnNcbiAqIGluc2lkZSBvZiBpdCBkb24ndCBwcmV2ZW50IHRoZSBkcmFnIHNlcXVlbmNlIGZyb20gY29tcGxldGluZy5cbiAqIEByZXR1cm5zIFByb21pc2UgdGhhdCByZXNvbHZlcyB3aGVuIHRoZSBhbmltYXRpb24gY29tcGxldGVzLlxuICovXG5leHBvcnQgZnVuY3Rpb24gcnVuRHJhZ0FuaW1hdGlvbihhbmltYXRpb25GbjogRHJhZ0FuaW1hdGlvbkZuLFxuICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgYW5pbWF0aW9uOiBEcmFnQW5pbWF0aW9uKTogUHJvbWlzZTx2b2lkPiB7XG4gIGxldCByZXN1bHQ6IFByb21pc2U8dW5rbm93bj4gfCB2b2lkO1xuXG4gIHRyeSB7XG4gICAgcmVzdWx0ID0gYW5pbWF0aW9uRm4oYW5pbWF0aW9uKTtcbiAgfSBjYXRjaCB7XG4gICAgcmV0dXJuIFByb21pc2UucmVzb2x2ZSgpO1xuICB9XG5cbiAgcmV0dXJuIFByb21pc2UucmVzb2x2ZShyZXN1bHQpLnRoZW4oKCkgPT4ge30sICgpID0+IHt9KTtcbn1cbiJdfQ==
\ No newline at end of file
@@ -0,0 +1,327 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { coerceElement } from '@angular/cdk/coercion';
+import { Subject, Subscription } from 'rxjs';
+import { getMutableClientRect } from './client-rect';
+import { extendStyles } from './drag-styling';
+/**
+ * Reference to a canvas inside of which drag items can be positioned freely. Builds on the
+ * free drag positioning of the `DragRef` by snapping items to a grid, aligning them with their
+ * siblings and optionally preventing them from overlapping. Positions are reported relative to
+ * the top left corner of the canvas' padding box, taking its scroll position into account.
+ * The canvas element should be positioned so that the alignment guides can be placed inside it.
+ */
+export class DragCanvasRef {
+    constructor(element, _document) {
+        this._document = _document;
+        /** Size of the grid, in pixels, to which items are snapped. Zero disables snapping. */
+        this.gridSize = 0;
+        /**
+         * Distance, in pixels, at which an item is aligned with one of its siblings and an alignment
+         * guide is shown. Alignment takes precedence over grid snapping. Zero disables the guides.
+         */
+        this.guideThreshold = 5;
+        /** Whether items are prevented from overlapping each other. */
+        this.preventOverlap = false;
+        /** Emits right before the user starts dragging an item inside the canvas. */
+        this.beforeStarted = new Subject();
+        /** Emits when the user drops an item that is inside the canvas. */
+        this.dropped = new Subject();
+        /** Items that are registered with the canvas, along with their event subscriptions. */
+        this._items = new Map();
+        /** State of the item that is currently being dragged. */
+        this._activeItem = null;
+        /** Origin of the item that is about to be dragged. Measured before it has moved. */
+        this._pendingOrigin = null;
+        /** Elements used to render the alignment guides. Reused between moves. */
+        this._guideElements = [];
+        /**
+         * Function that is assigned to the `constrainFreeDragPosition` of the canvas' items.
+         * Aligns, snaps and contains the proposed position of the item that is being dragged.
+         */
+        this._constrainPosition = (transform, item) => {
+            const activeItem = this._activeItem;
+            if (!activeItem || activeItem.item !== item) {
+                return transform;
+            }
+            const { origin, width, height, siblings } = activeItem;
+            const guides = [];
+            const threshold = this.guideThreshold;
+            let x = origin.x + transform.x;
+            let y = origin.y + transform.y;
+            const alignedX = threshold > 0 ?
+                getAlignment(x, width, siblings.map(s => [s.left, s.width]), threshold) : null;
+            const alignedY = threshold > 0 ?
+                getAlignment(y, height, siblings.map(s => [s.top, s.height]), threshold) : null;
+            if (alignedX) {
+                x = alignedX.position;
+                guides.push({ orientation: 'vertical', position: alignedX.guide });
+            }
+            else {
+                x = snapToGrid(x, this.gridSize);
+            }
+            if (alignedY) {
+                y = alignedY.position;
+                guides.push({ orientation: 'horizontal', position: alignedY.guide });
+            }
+            else {
+                y = snapToGrid(y, this.gridSize);
+            }
+            x = clamp(x, 0, activeItem.canvasWidth - width);
+            y = clamp(y, 0, activeItem.canvasHeight - height);
+            if (this.preventOverlap) {
+                const position = this._resolveCollisions({ x, y });
+                x = position.x;
+                y = position.y;
+            }
+            activeItem.lastValidPosition = { x, y };
+            this._renderGuides(guides);
+            return { x: x - origin.x, y: y - origin.y };
+        };
+        this.element = coerceElement(element);
+    }
+    /** Removes the canvas functionality from the DOM element. */
+    dispose() {
+        this._items.forEach((subscription, item) => {
+            subscription.unsubscribe();
+            item.constrainFreeDragPosition = undefined;
+        });
+        this._items.clear();
+        this._removeGuides();
+        this._activeItem = this._pendingOrigin = null;
+        this.beforeStarted.complete();
+        this.dropped.complete();
+    }
+    /** Whether an item inside the canvas is being dragged. */
+    isDragging() {
+        return !!this._activeItem;
+    }
+    /**
+     * Registers an item with the canvas.
+     * @param item Item to be added.
+     */
+    addItem(item) {
+        if (!this._items.has(item)) {
+            const subscription = new Subscription();
+            subscription.add(item.beforeStarted.subscribe(() => this._measureItemOrigin(item)));
+            subscription.add(item.started.subscribe(() => this._itemStarted(item)));
+            subscription.add(item.ended.subscribe(() => this._itemEnded(item)));
+            item.constrainFreeDragPosition = this._constrainPosition;
+            this._items.set(item, subscription);
+        }
+        return this;
+    }
+    /**
+     * Removes an item from the canvas.
+     * @param item Item to be removed.
+     */
+    removeItem(item) {
+        const subscription = this._items.get(item);
+        if (subscription) {
+            subscription.unsubscribe();
+            item.constrainFreeDragPosition = undefined;
+            this._items.delete(item);
+            if (this._activeItem && this._activeItem.item === item) {
+                this._removeGuides();
+                this._activeItem = null;
+            }
+        }
+        return this;
+    }
+    /**
+     * Gets the position of an item relative to the canvas.
+     * @param item Item whose position should be determined.
+     */
+    getItemPosition(item) {
+        const rect = this._getRectInCanvas(item);
+        return { x: rect.left, y: rect.top };
+    }
+    /**
+     * Moves an item to a specific position inside the canvas.
+     * @param item Item to be moved.
+     * @param position Position, relative to the canvas, to which to move the item.
+     */
+    setItemPosition(item, position) {
+        const origin = this._getItemOrigin(item);
+        item.setFreeDragPosition({ x: position.x - origin.x, y: position.y - origin.y });
+        return this;
+    }
+    /** Measures the origin of an item before the user has started moving it. */
+    _measureItemOrigin(item) {
+        this.beforeStarted.next();
+        this._pendingOrigin = { item, origin: this._getItemOrigin(item) };
+    }
+    /** Caches the state of the canvas when the user starts dragging one of its items. */
+    _itemStarted(item) {
+        const pending = this._pendingOrigin;
+        const origin = pending && pending.item === item ? pending.origin : this._getItemOrigin(item);
+        const rect = this._getRectInCanvas(item);
+        const element = coerceElement(this.element);
+        const startPosition = { x: rect.left, y: rect.top };
+        const siblings = [];
+        this._items.forEach((_, sibling) => {
+            if (sibling !== item) {
+                siblings.push(this._getRectInCanvas(sibling));
+            }
+        });
+        this._pendingOrigin = null;
+        this._activeItem = {
+            item,
+            origin,
+            startPosition,
+            lastValidPosition: startPosition,
+            width: rect.width,
+            height: rect.height,
+            siblings,
+            canvasWidth: element.scrollWidth,
+            canvasHeight: element.scrollHeight
+        };
+    }
+    /** Emits the final position of an item once the user has dropped it. */
+    _itemEnded(item) {
+        const activeItem = this._activeItem;
+        if (!activeItem || activeItem.item !== item) {
+            return;
+        }
+        const transform = item.getFreeDragPosition();
+        this._removeGuides();
+        this._activeItem = null;
+        this.dropped.next({
+            item,
+            container: this,
+            position: {
+                x: activeItem.origin.x + transform.x,
+                y: activeItem.origin.y + transform.y
+            },
+            previousPosition: activeItem.startPosition
+        });
+    }
+    /**
+     * Resolves collisions between the item that is being dragged and its siblings. If the
+     * proposed position overlaps with a sibling, the item is allowed to slide along the axis
+     * that is still free, otherwise it stays at its last valid position.
+     */
+    _resolveCollisions(position) {
+        const { lastValidPosition, width, height, siblings } = this._activeItem;
+        const candidates = [
+            position,
+            { x: position.x, y: lastValidPosition.y },
+            { x: lastValidPosition.x, y: position.y }
+        ];
+        for (const candidate of candidates) {
+            const rect = { left: candidate.x, top: candidate.y, width, height };
+            if (!siblings.some(sibling => rectsOverlap(rect, sibling))) {
+                return candidate;
+            }
+        }
+        return lastValidPosition;
+    }
+    /** Renders the alignment guides inside the canvas. */
+    _renderGuides(guides) {
+        const element = coerceElement(this.element);
+        const { canvasWidth, canvasHeight } = this._activeItem;
+        guides.forEach((guide, index) => {
+            let guideElement = this._guideElements[index];
+            if (!guideElement) {
+                guideElement = this._document.createElement('div');
+                guideElement.setAttribute('aria-hidden', 'true');
+                this._guideElements.push(guideElement);
+            }
+            const isVertical = guide.orientation === 'vertical';
+            guideElement.className =
+                `cdk-drag-canvas-guide cdk-drag-canvas-guide-${guide.orientation}`;
+            extendStyles(guideElement.style, {
+                position: 'absolute',
+                pointerEvents: 'none',
+                left: `${isVertical ? guide.position : 0}px`,
+                top: `${isVertical ? 0 : guide.position}px`,
+                width: `${isVertical ? 0 : canvasWidth}px`,
+                height: `${isVertical ? canvasHeight : 0}px`
+            });
+            if (guideElement.parentNode !== element) {
+                element.appendChild(guideElement);
+            }
+        });
+        // Remove any guides that aren't necessary anymore.
+        this._guideElements.splice(guides.length).forEach(removeGuide);
+    }
+    /** Removes all of the alignment guides from the DOM. */
+    _removeGuides() {
+        this._guideElements.forEach(removeGuide);
+        this._guideElements = [];
+    }
+    /**
+     * Gets the position that an item would have inside the canvas if its free drag position was
+     * zero. Has to be measured while the item isn't being dragged.
+     */
+    _getItemOrigin(item) {
+        const rect = this._getRectInCanvas(item);
+        const transform = item.getFreeDragPosition();
+        return { x: rect.left - transform.x, y: rect.top - transform.y };
+    }
+    /** Gets the dimensions of an item, relative to the canvas' scrollable area. */
+    _getRectInCanvas(item) {
+        const element = coerceElement(this.element);
+        const canvasRect = getMutableClientRect(element, this._document);
+        const itemRect = getMutableClientRect(item.getRootElement(), this._document);
+        return {
+            left: itemRect.left - canvasRect.left - element.clientLeft + element.scrollLeft,
+            top: itemRect.top - canvasRect.top - element.clientTop + element.scrollTop,
+            width: itemRect.width,
+            height: itemRect.height
+        };
+    }
+}
+/**
+ * Aligns the start, center or end of an item with the closest start, center
+ * or end of one of its siblings, if it's within a threshold, along one axis.
+ * @param start Start of the item along the axis.
+ * @param size Size of the item along the axis.
+ * @param siblings Starts and sizes of the siblings along the axis.
+ * @param threshold Maximum distance at which the item will be aligned.
+ * @returns The aligned start of the item and the position of the guide, or null if the
+ *     item isn't close enough to any of its siblings.
+ */
+function getAlignment(start, size, siblings, threshold) {
+    const itemEdges = [start, start + size / 2, start + size];
+    let result = null;
+    let closestDistance = threshold;
+    for (const [siblingStart, siblingSize] of siblings) {
+        const siblingEdges = [siblingStart, siblingStart + siblingSize / 2, siblingStart + siblingSize];
+        for (const siblingEdge of siblingEdges) {
+            for (const itemEdge of itemEdges) {
+                const distance = Math.abs(siblingEdge - itemEdge);
+                if (distance <= closestDistance) {
+                    closestDistance = distance;
+                    result = { position: start + siblingEdge - itemEdge, guide: siblingEdge };
+                }
+            }
+        }
+    }
+    return result;
+}
+/** Snaps a value to the closest grid line. */
+function snapToGrid(value, gridSize) {
+    return gridSize > 0 ? Math.round(value / gridSize) * gridSize : value;
+}
+/** Clamps a value between a minimum and a maximum. */
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+/** Checks whether two rectangles overlap. Rectangles that only touch don't overlap. */
+function rectsOverlap(a, b) {
+    return a.left < b.left + b.width && b.left < a.left + a.width &&
+        a.top < b.top + b.height && b.top < a.top + a.height;
+}
+/** Removes an alignment guide from the DOM. */
+function removeGuide(guide) {
+    if (guide.parentNode) {
+        guide.parentNode.removeChild(guide);
+    }
+}
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZHJhZy1jYW52YXMtcmVmLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiLi4vLi4vLi4vLi4vLi4vLi4vc3JjL2Nkay9kcmFnLWRyb3AvZHJhZy1jYW52YXMtcmVmLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBOzs7Ozs7R0FNRztBQUdILE9BQU8sRUFBQyxhQUFhLEVBQUMsTUFBTSx1QkFBdUIsQ0FBQztBQUNwRCxPQUFPLEVBQUMsT0FBTyxFQUFFLFlBQVksRUFBQyxNQUFNLE1BQU0sQ0FBQztBQUUzQyxPQUFPLEVBQUMsb0JBQW9CLEVBQUMsTUFBTSxlQUFlLENBQUM7QUFDbkQsT0FBTyxFQUFDLFlBQVksRUFBQyxNQUFNLGdCQUFnQixDQUFDO0FBeUM1Qzs7Ozs7O0dBTUc7QUFDSCxNQUFNLE9BQU8sYUFBYTtJQTBDeEIsWUFBWSxPQUE4QyxFQUFVLFNBQW1CO1FBQW5CLGNBQVMsR0FBVCxTQUFTLENBQVU7UUFuQ3ZGLHVGQUF1RjtRQUN2RixhQUFRLEdBQVcsQ0FBQyxDQUFDO1FBRXJCOzs7V0FHRztRQUNILG1CQUFjLEdBQVcsQ0FBQyxDQUFDO1FBRTNCLCtEQUErRDtRQUMvRCxtQkFBYyxHQUFZLEtBQUssQ0FBQztRQUVoQyw2RUFBNkU7UUFDcEUsa0JBQWEsR0FBRyxJQUFJLE9BQU8sRUFBUSxDQUFDO1FBRTdDLG1FQUFtRTtRQUMxRCxZQUFPLEdBQUcsSUFBSSxPQUFPLEVBSzFCLENBQUM7UUFFTCx1RkFBdUY7UUFDL0UsV0FBTSxHQUFHLElBQUksR0FBRyxFQUF5QixDQUFDO1FBRWxELHlEQUF5RDtRQUNqRCxnQkFBVyxHQUE0QixJQUFJLENBQUM7UUFFcEQsb0ZBQW9GO1FBQzVFLG1CQUFjLEdBQTBDLElBQUksQ0FBQztRQUVyRSwwRUFBMEU7UUFDbEUsbUJBQWMsR0FBa0IsRUFBRSxDQUFDO1FBNEkzQzs7O1dBR0c7UUFDSyx1QkFBa0IsR0FBRyxDQUFDLFNBQWdCLEVBQUUsSUFBYSxFQUFTLEVBQUU7WUFDdEUsTUFBTSxVQUFVLEdBQUcsSUFBSSxDQUFDLFdBQVcsQ0FBQztZQUVwQyxJQUFJLENBQUMsVUFBVSxJQUFJLFVBQVUsQ0FBQyxJQUFJLEtBQUssSUFBSSxFQUFFO2dCQUMzQyxPQUFPLFNBQVMsQ0FBQzthQUNsQjtZQUVELE1BQU0sRUFBQyxNQUFNLEVBQUUsS0FBSyxFQUFFLE1BQU0sRUFBRSxRQUFRLEVBQUMsR0FBRyxVQUFVLENBQUM7WUFDckQsTUFBTSxNQUFNLEdBQWtCLEVBQUUsQ0FBQztZQUNqQyxNQUFNLFNBQVMsR0FBRyxJQUFJLENBQUMsY0FBYyxDQUFDO1lBQ3RDLElBQUksQ0FBQyxHQUFHLE1BQU0sQ0FBQyxDQUFDLEdBQUcsU0FBUyxDQUFDLENBQUMsQ0FBQztZQUMvQixJQUFJLENBQUMsR0FBRyxNQUFNLENBQUMsQ0FBQyxHQUFHLFNBQVMsQ0FBQyxDQUFDLENBQUM7WUFFL0IsTUFBTSxRQUFRLEdBQUcsU0FBUyxHQUFHLENBQUMsQ0FBQyxDQUFDO2dCQUM1QixZQUFZLENBQUMsQ0FBQyxFQUFFLEtBQUssRUFBRSxRQUFRLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxFQUFFLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUM7WUFDbkYsTUFBTSxRQUFRLEdBQUcsU0FBUyxHQUFHLENBQUMsQ0FBQyxDQUFDO2dCQUM1QixZQUFZLENBQUMsQ0FBQyxFQUFFLE1BQU0sRUFBRSxRQUFRLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxFQUFFLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxFQUFFLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUM7WUFFcEYsSUFBSSxRQUFRLEVBQUU7Z0JBQ1osQ0FBQyxHQUFHLFFBQVEsQ0FBQyxRQUFRLENBQUM7Z0JBQ3RCLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBQyxXQUFXLEVBQUUsVUFBVSxFQUFFLFFBQVEsRUFBRSxRQUFRLENBQUMsS0FBSyxFQUFDLENBQUMsQ0FBQzthQUNsRTtpQkFBTTtnQkFDTCxDQUFDLEdBQUcsVUFBVSxDQUFDLENBQUMsRUFBRSxJQUFJLENBQUMsUUFBUSxDQUFDLENBQUM7YUFDbEM7WUFFRCxJQUFJLFFBQVEsRUFBRTtnQkFDWixDQUFDLEdBQUcsUUFBUSxDQUFDLFFBQVEsQ0FBQztnQkFDdEIsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFDLFdBQVcsRUFBRSxZQUFZLEVBQUUsUUFBUSxFQUFFLFFBQVEsQ0FBQyxLQUFLLEVBQUMsQ0FBQyxDQUFDO2FBQ3BFO2lCQUFNO2dCQUNMLENBQUMsR0FBRyxVQUFVLENBQUMsQ0FBQyxFQUFFLElBQUksQ0FBQyxRQUFRLENBQUMsQ0FBQzthQUNsQztZQUVELENBQUMsR0FBRyxLQUFLLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxVQUFVLENBQUMsV0FBVyxHQUFHLEtBQUssQ0FBQyxDQUFDO1lBQ2hELENBQUMsR0FBRyxLQUFLLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxVQUFVLENBQUMsWUFBWSxHQUFHLE1BQU0sQ0FBQyxDQUFDO1lBRWxELElBQUksSUFBSSxDQUFDLGNBQWMsRUFBRTtnQkFDdkIsTUFBTSxRQUFRLEdBQUcsSUFBSSxDQUFDLGtCQUFrQixDQUFDLEVBQUMsQ0FBQyxFQUFFLENBQUMsRUFBQyxDQUFDLENBQUM7Z0JBQ2pELENBQUMsR0FBRyxRQUFRLENBQUMsQ0FBQyxDQUFDO2dCQUNmLENBQUMsR0FBRyxRQUFRLENBQUMsQ0FBQyxDQUFDO2FBQ2hCO1lBRUQsVUFBVSxDQUFDLGlCQUFpQixHQUFHLEVBQUMsQ0FBQyxFQUFFLENBQUMsRUFBQyxDQUFDO1lBQ3RDLElBQUksQ0FBQyxhQUFhLENBQUMsTUFBTSxDQUFDLENBQUM7WUFFM0IsT0FBTyxFQUFDLENBQUMsRUFBRSxDQUFDLEdBQUcsTUFBTSxDQUFDLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxHQUFHLE1BQU0sQ0FBQyxDQUFDLEVBQUMsQ0FBQztRQUM1QyxDQUFDLENBQUE7UUExTEMsSUFBSSxDQUFDLE9BQU8sR0FBRyxhQUFhLENBQUMsT0FBTyxDQUFDLENBQUM7SUFDeEMsQ0FBQztJQUVELDZEQUE2RDtJQUM3RCxPQUFPO1FBQ0wsSUFBSSxDQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUMsQ0FBQyxZQUFZLEVBQUUsSUFBSSxFQUFFLEVBQUU7WUFDekMsWUFBWSxDQUFDLFdBQVcsRUFBRSxDQUFDO1lBQzNCLElBQUksQ0FBQyx5QkFBeUIsR0FBRyxTQUFTLENBQUM7UUFDN0MsQ0FBQyxDQUFDLENBQUM7UUFDSCxJQUFJLENBQUMsTUFBTSxDQUFDLEtBQUssRUFBRSxDQUFDO1FBQ3BCLElBQUksQ0FBQyxhQUFhLEVBQUUsQ0FBQztRQUNyQixJQUFJLENBQUMsV0FBVyxHQUFHLElBQUksQ0FBQyxjQUFjLEdBQUcsSUFBSSxDQUFDO1FBQzlDLElBQUksQ0FBQyxhQUFhLENBQUMsUUFBUSxFQUFFLENBQUM7UUFDOUIsSUFBSSxDQUFDLE9BQU8sQ0FBQyxRQUFRLEVBQUUsQ0FBQztJQUMxQixDQUFDO0lBRUQsMERBQTBEO0lBQzFELFVBQVU7UUFDUixPQUFPLENBQUMsQ0FBQyxJQUFJLENBQUMsV0FBVyxDQUFDO0lBQzVCLENBQUM7SUFFRDs7O09BR0c7SUFDSCxPQUFPLENBQUMsSUFBYTtRQUNuQixJQUFJLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEVBQUU7WUFDMUIsTUFBTSxZQUFZLEdBQUcsSUFBSSxZQUFZLEVBQUUsQ0FBQztZQUN4QyxZQUFZLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxhQUFhLENBQUMsU0FBUyxDQUFDLEdBQUcsRUFBRSxDQUFDLElBQUksQ0FBQyxrQkFBa0IsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUM7WUFDcEYsWUFBWSxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLFNBQVMsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxJQUFJLENBQUMsWUFBWSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUN4RSxZQUFZLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsU0FBUyxDQUFDLEdBQUcsRUFBRSxDQUFDLElBQUksQ0FBQyxVQUFVLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDO1lBQ3BFLElBQUksQ0FBQyx5QkFBeUIsR0FBRyxJQUFJLENBQUMsa0JBQWtCLENBQUM7WUFDekQsSUFBSSxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsSUFBSSxFQUFFLFlBQVksQ0FBQyxDQUFDO1NBQ3JDO1FBRUQsT0FBTyxJQUFJLENBQUM7SUFDZCxDQUFDO0lBRUQ7OztPQUdHO0lBQ0gsVUFBVSxDQUFDLElBQWE7UUFDdEIsTUFBTSxZQUFZLEdBQUcsSUFBSSxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLENBQUM7UUFFM0MsSUFBSSxZQUFZLEVBQUU7WUFDaEIsWUFBWSxDQUFDLFdBQVcsRUFBRSxDQUFDO1lBQzNCLElBQUksQ0FBQyx5QkFBeUIsR0FBRyxTQUFTLENBQUM7WUFDM0MsSUFBSSxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLENBQUM7WUFFekIsSUFBSSxJQUFJLENBQUMsV0FBVyxJQUFJLElBQUksQ0FBQyxXQUFXLENBQUMsSUFBSSxLQUFLLElBQUksRUFBRTtnQkFDdEQsSUFBSSxDQUFDLGFBQWEsRUFBRSxDQUFDO2dCQUNyQixJQUFJLENBQUMsV0FBVyxHQUFHLElBQUksQ0FBQzthQUN6QjtTQUNGO1FBRUQsT0FBTyxJQUFJLENBQUM7SUFDZCxDQUFDO0lBRUQ7OztPQUdHO0lBQ0gsZUFBZSxDQUFDLElBQWE7UUFDM0IsTUFBTSxJQUFJLEdBQUcsSUFBSSxDQUFDLGdCQUFnQixDQUFDLElBQUksQ0FBQyxDQUFDO1FBQ3pDLE9BQU8sRUFBQyxDQUFDLEVBQUUsSUFBSSxDQUFDLElBQUksRUFBRSxDQUFDLEVBQUUsSUFBSSxDQUFDLEdBQUcsRUFBQyxDQUFDO0lBQ3JDLENBQUM7SUFFRDs7OztPQUlHO0lBQ0gsZUFBZSxDQUFDLElBQWEsRUFBRSxRQUFlO1FBQzVDLE1BQU0sTUFBTSxHQUFHLElBQUksQ0FBQyxjQUFjLENBQUMsSUFBSSxDQUFDLENBQUM7UUFDekMsSUFBSSxDQUFDLG1CQUFtQixDQUFDLEVBQUMsQ0FBQyxFQUFFLFFBQVEsQ0FBQyxDQUFDLEdBQUcsTUFBTSxDQUFDLENBQUMsRUFBRSxDQUFDLEVBQUUsUUFBUSxDQUFDLENBQUMsR0FBRyxNQUFNLENBQUMsQ0FBQyxFQUFDLENBQUMsQ0FBQztRQUMvRSxPQUFPLElBQUksQ0FBQztJQUNkLENBQUM7SUFFRCw0RUFBNEU7SUFDcEUsa0JBQWtCLENBQUMsSUFBYTtRQUN0QyxJQUFJLENBQUMsYUFBYSxDQUFDLElBQUksRUFBRSxDQUFDO1FBQzFCLElBQUksQ0FBQyxjQUFjLEdBQUcsRUFBQyxJQUFJLEVBQUUsTUFBTSxFQUFFLElBQUksQ0FBQyxjQUFjLENBQUMsSUFBSSxDQUFDLEVBQUMsQ0FBQztJQUNsRSxDQUFDO0lBRUQscUZBQXFGO0lBQzdFLFlBQVksQ0FBQyxJQUFhO1FBQ2hDLE1BQU0sT0FBTyxHQUFHLElBQUksQ0FBQyxjQUFjLENBQUM7UUFDcEMsTUFBTSxNQUFNLEdBQUcsT0FBTyxJQUFJLE9BQU8sQ0FBQyxJQUFJLEtBQUssSUFBSSxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsY0FBYyxDQUFDLElBQUksQ0FBQyxDQUFDO1FBQzdGLE1BQU0sSUFBSSxHQUFHLElBQUksQ0FBQyxnQkFBZ0IsQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUN6QyxNQUFNLE9BQU8sR0FBRyxhQUFhLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxDQUFDO1FBQzVDLE1BQU0sYUFBYSxHQUFHLEVBQUMsQ0FBQyxFQUFFLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQyxFQUFFLElBQUksQ0FBQyxHQUFHLEVBQUMsQ0FBQztRQUNsRCxNQUFNLFFBQVEsR0FBaUIsRUFBRSxDQUFDO1FBRWxDLElBQUksQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxFQUFFLE9BQU8sRUFBRSxFQUFFO1lBQ2pDLElBQUksT0FBTyxLQUFLLElBQUksRUFBRTtnQkFDcEIsUUFBUSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsZ0JBQWdCLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQzthQUMvQztRQUNILENBQUMsQ0FBQyxDQUFDO1FBRUgsSUFBSSxDQUFDLGNBQWMsR0FBRyxJQUFJLENBQUM7UUFDM0IsSUFBSSxDQUFDLFdBQVcsR0FBRztZQUNqQixJQUFJO1lBQ0osTUFBTTtZQUNOLGFBQWE7WUFDYixpQkFBaUIsRUFBRSxhQUFhO1lBQ2hDLEtBQUssRUFBRSxJQUFJLENBQUMsS0FBSztZQUNqQixNQUFNLEVBQUUsSUFBSSxDQUFDLE1BQU07WUFDbkIsUUFBUTtZQUNSLFdBQVcsRUFBRSxPQUFPLENBQUMsV0FBVztZQUNoQyxZQUFZLEVBQUUsT0FBTyxDQUFDLFlBQVk7U0FDbkMsQ0FBQztJQUNKLENBQUM7SUFFRCx3RUFBd0U7SUFDaEUsVUFBVSxDQUFDLElBQWE7UUFDOUIsTUFBTSxVQUFVLEdBQUcsSUFBSSxDQUFDLFdBQVcsQ0FBQztRQUVwQyxJQUFJLENBQUMsVUFBVSxJQUFJLFVBQVUsQ0FBQyxJQUFJLEtBQUssSUFBSSxFQUFFO1lBQzNDLE9BQU87U0FDUjtRQUVELE1BQU0sU0FBUyxHQUFHLElBQUksQ0FBQyxtQkFBbUIsRUFBRSxDQUFDO1FBRTdDLElBQUksQ0FBQyxhQUFhLEVBQUUsQ0FBQztRQUNyQixJQUFJLENBQUMsV0FBVyxHQUFHLElBQUksQ0FBQztRQUN4QixJQUFJLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQztZQUNoQixJQUFJO1lBQ0osU0FBUyxFQUFFLElBQUk7WUFDZixRQUFRLEVBQUU7Z0JBQ1IsQ0FBQyxFQUFFLFVBQVUsQ0FBQyxNQUFNLENBQUMsQ0FBQyxHQUFHLFNBQVMsQ0FBQyxDQUFDO2dCQUNwQyxDQUFDLEVBQUUsVUFBVSxDQUFDLE1BQU0sQ0FBQyxDQUFDLEdBQUcsU0FBUyxDQUFDLENBQUM7YUFDckM7WUFDRCxnQkFBZ0IsRUFBRSxVQUFVLENBQUMsYUFBYTtTQUMzQyxDQUFDLENBQUM7SUFDTCxDQUFDO0lBcUREOzs7O09BSUc7SUFDSyxrQkFBa0IsQ0FBQyxRQUFlO1FBQ3hDLE1BQU0sRUFBQyxpQkFBaUIsRUFBRSxLQUFLLEVBQUUsTUFBTSxFQUFFLFFBQVEsRUFBQyxHQUFHLElBQUksQ0FBQyxXQUFZLENBQUM7UUFDdkUsTUFBTSxVQUFVLEdBQUc7WUFDakIsUUFBUTtZQUNSLEVBQUMsQ0FBQyxFQUFFLFFBQVEsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFLGlCQUFpQixDQUFDLENBQUMsRUFBQztZQUN2QyxFQUFDLENBQUMsRUFBRSxpQkFBaUIsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFLFFBQVEsQ0FBQyxDQUFDLEVBQUM7U0FDeEMsQ0FBQztRQUVGLEtBQUssTUFBTSxTQUFTLElBQUksVUFBVSxFQUFFO1lBQ2xDLE1BQU0sSUFBSSxHQUFHLEVBQUMsSUFBSSxFQUFFLFNBQVMsQ0FBQyxDQUFDLEVBQUUsR0FBRyxFQUFFLFNBQVMsQ0FBQyxDQUFDLEVBQUUsS0FBSyxFQUFFLE1BQU0sRUFBQyxDQUFDO1lBRWxFLElBQUksQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsWUFBWSxDQUFDLElBQUksRUFBRSxPQUFPLENBQUMsQ0FBQyxFQUFFO2dCQUMxRCxPQUFPLFNBQVMsQ0FBQzthQUNsQjtTQUNGO1FBRUQsT0FBTyxpQkFBaUIsQ0FBQztJQUMzQixDQUFDO0lBRUQsc0RBQXNEO0lBQzlDLGFBQWEsQ0FBQyxNQUFxQjtRQUN6QyxNQUFNLE9BQU8sR0FBRyxhQUFhLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxDQUFDO1FBQzVDLE1BQU0sRUFBQyxXQUFXLEVBQUUsWUFBWSxFQUFDLEdBQUcsSUFBSSxDQUFDLFdBQVksQ0FBQztRQUV0RCxNQUFNLENBQUMsT0FBTyxDQUFDLENBQUMsS0FBSyxFQUFFLEtBQUssRUFBRSxFQUFFO1lBQzlCLElBQUksWUFBWSxHQUFHLElBQUksQ0FBQyxjQUFjLENBQUMsS0FBSyxDQUFDLENBQUM7WUFFOUMsSUFBSSxDQUFDLFlBQVksRUFBRTtnQkFDakIsWUFBWSxHQUFHLElBQUksQ0FBQyxTQUFTLENBQUMsYUFBYSxDQUFDLEtBQUssQ0FBQyxDQUFDO2dCQUNuRCxZQUFZLENBQUMsWUFBWSxDQUFDLGFBQWEsRUFBRSxNQUFNLENBQUMsQ0FBQztnQkFDakQsSUFBSSxDQUFDLGNBQWMsQ0FBQyxJQUFJLENBQUMsWUFBWSxDQUFDLENBQUM7YUFDeEM7WUFFRCxNQUFNLFVBQVUsR0FBRyxLQUFLLENBQUMsV0FBVyxLQUFLLFVBQVUsQ0FBQztZQUNwRCxZQUFZLENBQUMsU0FBUztnQkFDbEIsK0NBQStDLEtBQUssQ0FBQyxXQUFXLEVBQUUsQ0FBQztZQUN2RSxZQUFZLENBQUMsWUFBWSxDQUFDLEtBQUssRUFBRTtnQkFDL0IsUUFBUSxFQUFFLFVBQVU7Z0JBQ3BCLGFBQWEsRUFBRSxNQUFNO2dCQUNyQixJQUFJLEVBQUUsR0FBRyxVQUFVLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSTtnQkFDNUMsR0FBRyxFQUFFLEdBQUcsVUFBVSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxRQUFRLElBQUk7Z0JBQzNDLEtBQUssRUFBRSxHQUFHLFVBQVUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxXQUFXLElBQUk7Z0JBQzFDLE1BQU0sRUFBRSxHQUFHLFVBQVUsQ0FBQyxDQUFDLENBQUMsWUFBWSxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUk7YUFDN0MsQ0FBQyxDQUFDO1lBRUgsSUFBSSxZQUFZLENBQUMsVUFBVSxLQUFLLE9BQU8sRUFBRTtnQkFDdkMsT0FBTyxDQUFDLFdBQVcsQ0FBQyxZQUFZLENBQUMsQ0FBQzthQUNuQztRQUNILENBQUMsQ0FBQyxDQUFDO1FBRUgsbURBQW1EO1FBQ25ELElBQUksQ0FBQyxjQUFjLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsQ0FBQyxPQUFPLENBQUMsV0FBVyxDQUFDLENBQUM7SUFDakUsQ0FBQztJQUVELHdEQUF3RDtJQUNoRCxhQUFhO1FBQ25CLElBQUksQ0FBQyxjQUFjLENBQUMsT0FBTyxDQUFDLFdBQVcsQ0FBQyxDQUFDO1FBQ3pDLElBQUksQ0FBQyxjQUFjLEdBQUcsRUFBRSxDQUFDO0lBQzNCLENBQUM7SUFFRDs7O09BR0c7SUFDSyxjQUFjLENBQUMsSUFBYTtRQUNsQyxNQUFNLElBQUksR0FBRyxJQUFJLENBQUMsZ0JBQWdCLENBQUMsSUFBSSxDQUFDLENBQUM7UUFDekMsTUFBTSxTQUFTLEdBQUcsSUFBSSxDQUFDLG1CQUFtQixFQUFFLENBQUM7UUFDN0MsT0FBTyxFQUFDLENBQUMsRUFBRSxJQUFJLENBQUMsSUFBSSxHQUFHLFNBQVMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFLElBQUksQ0FBQyxHQUFHLEdBQUcsU0FBUyxDQUFDLENBQUMsRUFBQyxDQUFDO0lBQ2pFLENBQUM7SUFFRCwrRUFBK0U7SUFDdkUsZ0JBQWdCLENBQUMsSUFBYTtRQUNwQyxNQUFNLE9BQU8sR0FBRyxhQUFhLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxDQUFDO1FBQzVDLE1BQU0sVUFBVSxHQUFHLG9CQUFvQixDQUFDLE9BQU8sRUFBRSxJQUFJLENBQUMsU0FBUyxDQUFDLENBQUM7UUFDakUsTUFBTSxRQUFRLEdBQUcsb0JBQW9CLENBQUMsSUFBSSxDQUFDLGNBQWMsRUFBRSxFQUFFLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQztRQUU3RSxPQUFPO1lBQ0wsSUFBSSxFQUFFLFFBQVEsQ0FBQyxJQUFJLEdBQUcsVUFBVSxDQUFDLElBQUksR0FBRyxPQUFPLENBQUMsVUFBVSxHQUFHLE9BQU8sQ0FBQyxVQUFVO1lBQy9FLEdBQUcsRUFBRSxRQUFRLENBQUMsR0FBRyxHQUFHLFVBQVUsQ0FBQyxHQUFHLEdBQUcsT0FBTyxDQUFDLFNBQVMsR0FBRyxPQUFPLENBQUMsU0FBUztZQUMxRSxLQUFLLEVBQUUsUUFBUSxDQUFDLEtBQUs7WUFDckIsTUFBTSxFQUFFLFFBQVEsQ0FBQyxNQUFNO1NBQ3hCLENBQUM7SUFDSixDQUFDO0NBQ0Y7QUFFRDs7Ozs7Ozs7O0dBU0c7QUFDSCxTQUFTLFlBQVksQ0FBQyxLQUFhLEVBQUUsSUFBWSxFQUFFLFFBQTRCLEVBQ3pELFNBQWlCO0lBQ3JDLE1BQU0sU0FBUyxHQUFHLENBQUMsS0FBSyxFQUFFLEtBQUssR0FBRyxJQUFJLEdBQUcsQ0FBQyxFQUFFLEtBQUssR0FBRyxJQUFJLENBQUMsQ0FBQztJQUMxRCxJQUFJLE1BQU0sR0FBNkMsSUFBSSxDQUFDO0lBQzVELElBQUksZUFBZSxHQUFHLFNBQVMsQ0FBQztJQUVoQyxLQUFLLE1BQU0sQ0FBQyxZQUFZLEVBQUUsV0FBVyxDQUFDLElBQUksUUFBUSxFQUFFO1FBQ2xELE1BQU0sWUFBWSxHQUFHLENBQUMsWUFBWSxFQUFFLFlBQVksR0FBRyxXQUFXLEdBQUcsQ0FBQyxFQUFFLFlBQVksR0FBRyxXQUFXLENBQUMsQ0FBQztRQUVoRyxLQUFLLE1BQU0sV0FBVyxJQUFJLFlBQVksRUFBRTtZQUN0QyxLQUFLLE1BQU0sUUFBUSxJQUFJLFNBQVMsRUFBRTtnQkFDaEMsTUFBTSxRQUFRLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxXQUFXLEdBQUcsUUFBUSxDQUFDLENBQUM7Z0JBRWxELElBQUksUUFBUSxJQUFJLGVBQWUsRUFBRTtvQkFDL0IsZUFBZSxHQUFHLFFBQVEsQ0FBQztvQkFDM0IsTUFBTSxHQUFHLEVBQUMsUUFBUSxFQUFFLEtBQUssR0FBRyxXQUFXLEdBQUcsUUFBUSxFQUFFLEtBQUssRUFBRSxXQUFXLEVBQUMsQ0FBQztpQkFDekU7YUFDRjtTQUNGO0tBQ0Y7SUFFRCxPQUFPLE1BQU0sQ0FBQztBQUNoQixDQUFDO0FBRUQsOENBQThDO0FBQzlDLFNBQVMsVUFBVSxDQUFDLEtBQWEsRUFBRSxRQUFnQjtJQUNqRCxPQUFPLFFBQVEsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsS0FBSyxHQUFHLFFBQVEsQ0FBQyxHQUFHLFFBQVEsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDO0FBQ3hFLENBQUM7QUFFRCxzREFBc0Q7QUFDdEQsU0FBUyxLQUFLLENBQUMsS0FBYSxFQUFFLEdBQVcsRUFBRSxHQUFXO0lBQ3BELE9BQU8sSUFBSSxDQUFDLEdBQUcsQ0FBQyxHQUFHLEVBQUUsSUFBSSxDQUFDLEdBQUcsQ0FBQyxHQUFHLEVBQUUsS0FBSyxDQUFDLENBQUMsQ0FBQztBQUM3QyxDQUFDO0FBRUQsdUZBQXVGO0FBQ3ZGLFNBQVMsWUFBWSxDQUFDLENBQWEsRUFBRSxDQUFhO0lBQ2hELE9BQU8sQ0FBQyxDQUFDLElBQUksR0FBRyxDQUFDLENBQUMsSUFBSSxHQUFHLENBQUMsQ0FBQyxLQUFLLElBQUksQ0FBQyxDQUFDLElBQUksR0FBRyxDQUFDLENBQUMsSUFBSSxHQUFHLENBQUMsQ0FBQyxLQUFLO1FBQ3RELENBQUMsQ0FBQyxHQUFHLEdBQUcsQ0FBQyxDQUFDLEdBQUcsR0FBRyxDQUFDLENBQUMsTUFBTSxJQUFJLENBQUMsQ0FBQyxHQUFHLEdBQUcsQ0FBQyxDQUFDLEdBQUcsR0FBRyxDQUFDLENBQUMsTUFBTSxDQUFDO0FBQzlELENBQUM7QUFFRCwrQ0FBK0M7QUFDL0MsU0FBUyxXQUFXLENBQUMsS0FBa0I7SUFDckMsSUFBSSxLQUFLLENBQUMsVUFBVSxFQUFFO1FBQ3BCLEtBQUssQ0FBQyxVQUFVLENBQUMsV0FBVyxDQUFDLEtBQUssQ0FBQyxDQUFDO0tBQ3JDO0FBQ0gsQ0FBQyIsInNvdXJjZXNDb250ZW50IjpbIi8qKlxuICogQGxpY2Vuc2VcbiAqIENvcHlyaWdodCBHb29nbGUgTExDIEFsbCBSaWdodHMgUmVzZXJ2ZWQuXG4gKlxuICogVXNlIG9mIHRoaXMgc291cmNlIGNvZGUgaXMgZ292ZXJuZWQgYnkgYW4gTUlULXN0eWxlIGxpY2Vuc2UgdGhhdCBjYW4gYmVcbiAqIGZvdW5kIGluIHRoZSBMSUNFTlNFIGZpbGUgYXQgaHR0cHM6Ly9hbmd1bGFyLmlvL2xpY2Vuc2VcbiAqL1xuXG5pbXBvcnQge0VsZW1lbnRSZWZ9IGZyb20gJ0Bhbmd1bGFyL2NvcmUnO1xuaW1wb3J0IHtjb2VyY2VFbGVtZW50fSBmcm9tICdAYW5ndWxhci9jZGsvY29lcmNpb24nO1xuaW1wb3J0IHtTdWJqZWN0LCBTdWJzY3JpcHRpb259IGZyb20gJ3J4anMnO1xuaW1wb3J0IHtEcmFnUmVmLCBQb2ludH0gZnJvbSAnLi9kcmFnLXJlZic7XG5pbXBvcnQge2dldE11dGFibGVDbGllbnRSZWN0fSBmcm9tICcuL2NsaWVudC1yZWN0JztcbmltcG9ydCB7ZXh0ZW5kU3R5bGVzfSBmcm9tICcuL2RyYWctc3R5bGluZyc7XG5cbi8qKiBSZWN0YW5nbGUgZGVzY3JpYmluZyB0aGUgcG9zaXRpb24gb2YgYW4gaXRlbSBpbnNpZGUgb2YgYSBjYW52YXMuICovXG5pbnRlcmZhY2UgQ2FudmFzUmVjdCB7XG4gIGxlZnQ6IG51bWJlcjtcbiAgdG9wOiBudW1iZXI7XG4gIHdpZHRoOiBudW1iZXI7XG4gIGhlaWdodDogbnVtYmVyO1xufVxuXG4vKiogQWxpZ25tZW50IGd1aWRlIHRoYXQgaXMgc2hvd24gd2hpbGUgYW4gaXRlbSBpcyBiZWluZyBkcmFnZ2VkLiAqL1xuaW50ZXJmYWNlIENhbnZhc0d1aWRlIHtcbiAgLyoqIEF4aXMgYWxvbmcgd2hpY2ggdGhlIGd1aWRlIHJ1bnMuICovXG4gIG9yaWVudGF0aW9uOiAnaG9yaXpvbnRhbCcgfCAndmVydGljYWwnO1xuICAvKiogUG9zaXRpb24gb2YgdGhlIGd1aWRlLCByZWxhdGl2ZSB0byB0aGUgY2FudmFzLiAqL1xuICBwb3NpdGlvbjogbnVtYmVyO1xufVxuXG4vKiogU3RhdGUgb2YgdGhlIGl0ZW0gdGhhdCBpcyBjdXJyZW50bHkgYmVpbmcgZHJhZ2dlZCBpbnNpZGUgdGhlIGNhbnZhcy4gKi9cbmludGVyZmFjZSBBY3RpdmVDYW52YXNJdGVtIHtcbiAgLyoqIEl0ZW0gdGhhdCBpcyBiZWluZyBkcmFnZ2VkLiAqL1xuICBpdGVtOiBEcmFnUmVmO1xuICAvKipcbiAgICogUG9zaXRpb24gb2YgdGhlIGl0ZW0sIHJlbGF0aXZlIHRvIHRoZSBjYW52YXMsIHdoZW4gaXRzIGZyZWUgZHJhZyBwb3NpdGlvbiBpcyB6ZXJvLlxuICAgKiBVc2VkIHRvIGNvbnZlcnQgYmV0d2VlbiB0aGUgaXRlbSdzIGZyZWUgZHJhZyB0cmFuc2Zvcm0gYW5kIGl0cyBwb3NpdGlvbiBpbiB0aGUgY2FudmFzLlxuICAgKi9cbiAgb3JpZ2luOiBQb2ludDtcbiAgLyoqIFBvc2l0aW9uIG9mIHRoZSBpdGVtIHdoZW4gdGhlIHVzZXIgc3RhcnRlZCBkcmFnZ2luZyBpdC4gKi9cbiAgc3RhcnRQb3NpdGlvbjogUG9pbnQ7XG4gIC8qKiBMYXN0IHBvc2l0aW9uIG9mIHRoZSBpdGVtIHRoYXQgZGlkbid0IGNvbGxpZGUgd2l0aCBhbnkgb2YgaXRzIHNpYmxpbmdzLiAqL1xuICBsYXN0VmFsaWRQb3NpdGlvbjogUG9pbnQ7XG4gIC8qKiBEaW1lbnNpb25zIG9mIHRoZSBpdGVtLiAqL1xuICB3aWR0aDogbnVtYmVyO1xuICBoZWlnaHQ6IG51bWJlcjtcbiAgLyoqIFBvc2l0aW9ucyBvZiB0aGUgb3RoZXIgaXRlbXMgaW4gdGhlIGNhbnZhcywgY2FjaGVkIHdoZW4gZHJhZ2dpbmcgc3RhcnRzLiAqL1xuICBzaWJsaW5nczogQ2FudmFzUmVjdFtdO1xuICAvKiogRGltZW5zaW9ucyBvZiB0aGUgY2FudmFzJyBzY3JvbGxhYmxlIGFyZWEsIGNhY2hlZCB3aGVuIGRyYWdnaW5nIHN0YXJ0cy4gKi9cbiAgY2FudmFzV2lkdGg6IG51bWJlcjtcbiAgY2FudmFzSGVpZ2h0OiBudW1iZXI7XG59XG5cbi8qKlxuICogUmVmZXJlbmNlIHRvIGEgY2FudmFzIGluc2lkZSBvZiB3aGljaCBkcmFnIGl0ZW1zIGNhbiBiZSBwb3NpdGlvbmVkIGZyZWVseS4gQnVpbGRzIG9uIHRoZVxuICogZnJlZSBkcmFnIHBvc2l0aW9uaW5nIG9mIHRoZSBgRHJhZ1JlZmAgYnkgc25hcHBpbmcgaXRlbXMgdG8gYSBncmlkLCBhbGlnbmluZyB0aGVtIHdpdGggdGhlaXJcbiAqIHNpYmxpbmdzIGFuZCBvcHRpb25hbGx5IHByZXZlbnRpbmcgdGhlbSBmcm9tIG92ZXJsYXBwaW5nLiBQb3NpdGlvbnMgYXJlIHJlcG9ydGVkIHJlbGF0aXZlIHRvXG4gKiB0aGUgdG9wIGxlZnQgY29ybmVyIG9mIHRoZSBjYW52YXMnIHBhZGRpbmcgYm94LCB0YWtpbmcgaXRzIHNjcm9sbCBwb3NpdGlvbiBpbnRvIGFjY291bnQuXG4gKiBUaGUgY2FudmFzIGVsZW1lbnQgc2hvdWxkIGJlIHBvc2l0aW9uZWQgc28gdGhhdCB0aGUgYWxpZ25tZW50IGd1aWRlcyBjYW4gYmUgcGxhY2VkIGluc2lkZSBpdC5cbiAqL1xuZXhwb3J0IGNsYXNzIERyYWdDYW52YXNSZWY8VCA9IGFueT4ge1xuICAvKiogRWxlbWVudCB0aGF0IHRoZSBjYW52YXMgaXMgYXR0YWNoZWQgdG8uICovXG4gIGVsZW1lbnQ6IEhUTUxFbGVtZW50IHwgRWxlbWVudFJlZjxIVE1MRWxlbWVudD47XG5cbiAgLyoqIEFyYml0cmFyeSBkYXRhIHRoYXQgY2FuIGJlIGF0dGFjaGVkIHRvIHRoZSBjYW52YXMuICovXG4gIGRhdGE6IFQ7XG5cbiAgLyoqIFNpemUgb2YgdGhlIGdyaWQsIGluIHBpeGVscywgdG8gd2hpY2ggaXRlbXMgYXJlIHNuYXBwZWQuIFplcm8gZGlzYWJsZXMgc25hcHBpbmcuICovXG4gIGdyaWRTaXplOiBudW1iZXIgPSAwO1xuXG4gIC8qKlxuICAgKiBEaXN0YW5jZSwgaW4gcGl4ZWxzLCBhdCB3aGljaCBhbiBpdGVtIGlzIGFsaWduZWQgd2l0aCBvbmUgb2YgaXRzIHNpYmxpbmdzIGFuZCBhbiBhbGlnbm1lbnRcbiAgICogZ3VpZGUgaXMgc2hvd24uIEFsaWdubWVudCB0YWtlcyBwcmVjZWRlbmNlIG92ZXIgZ3JpZCBzbmFwcGluZy4gWmVybyBkaXNhYmxlcyB0aGUgZ3VpZGVzLlxuICAgKi9cbiAgZ3VpZGVUaHJlc2hvbGQ6IG51bWJlciA9IDU7XG5cbiAgLyoqIFdoZXRoZXIgaXRlbXMgYXJlIHByZXZlbnRlZCBmcm9tIG92ZXJsYXBwaW5nIGVhY2ggb3RoZXIuICovXG4gIHByZXZlbnRPdmVybGFwOiBib29sZWFuID0gZmFsc2U7XG5cbiAgLyoqIEVtaXRzIHJpZ2h0IGJlZm9yZSB0aGUgdXNlciBzdGFydHMgZHJhZ2dpbmcgYW4gaXRlbSBpbnNpZGUgdGhlIGNhbnZhcy4gKi9cbiAgcmVhZG9ubHkgYmVmb3JlU3RhcnRlZCA9IG5ldyBTdWJqZWN0PHZvaWQ+KCk7XG5cbiAgLyoqIEVtaXRzIHdoZW4gdGhlIHVzZXIgZHJvcHMgYW4gaXRlbSB0aGF0IGlzIGluc2lkZSB0aGUgY2FudmFzLiAqL1xuICByZWFkb25seSBkcm9wcGVkID0gbmV3IFN1YmplY3Q8e1xuICAgIGl0ZW06IERyYWdSZWYsXG4gICAgY29udGFpbmVyOiBEcmFnQ2FudmFzUmVmLFxuICAgIHBvc2l0aW9uOiBQb2ludCxcbiAgICBwcmV2aW91c1Bvc2l0aW9uOiBQb2ludFxuICB9PigpO1xuXG4gIC8qKiBJdGVtcyB0aGF0IGFyZSByZWdpc3RlcmVkIHdpdGggdGhlIGNhbnZhcywgYWxvbmcgd2l0aCB0aGVpciBldmVudCBzdWJzY3JpcHRpb25zLiAqL1xuICBwcml2YXRlIF9pdGVtcyA9IG5ldyBNYXA8RHJhZ1JlZiwgU3Vic2NyaXB0aW9uPigpO1xuXG4gIC8qKiBTdGF0ZSBvZiB0aGUgaXRlbSB0aGF0IGlzIGN1cnJlbnRseSBiZWluZyBkcmFnZ2VkLiAqL1xuICBwcml2YXRlIF9hY3RpdmVJdGVtOiBBY3RpdmVDYW52YXNJdGVtIHwgbnVsbCA9IG51bGw7XG5cbiAgLyoqIE9yaWdpbiBvZiB0aGUgaXRlbSB0aGF0IGlzIGFib3V0IHRvIGJlIGRyYWdnZWQuIE1lYXN1cmVkIGJlZm9yZSBpdCBoYXMgbW92ZWQuICovXG4gIHByaXZhdGUgX3BlbmRpbmdPcmlnaW46IHtpdGVtOiBEcmFnUmVmLCBvcmlnaW46IFBvaW50fSB8IG51bGwgPSBudWxsO1xuXG4gIC8qKiBFbGVtZW50cyB1c2VkIHRvIHJlbmRlciB0aGUgYWxpZ25tZW50IGd1aWRlcy4gUmV1c2VkIGJldHdlZW4gbW92ZXMuICovXG4gIHByaXZhdGUgX2d1aWRlRWxlbWVudHM6IEhUTUxFbGVtZW50W10gPSBbXTtcblxuICBjb25zdHJ1Y3RvcihlbGVtZW50OiBFbGVtZW50UmVmPEhUTUxFbGVtZW50PiB8IEhUTUxFbGVtZW50LCBwcml2YXRlIF9kb2N1bWVudDogRG9jdW1lbnQpIHtcbiAgICB0aGlzLmVsZW1lbnQgPSBjb2VyY2VFbGVtZW50KGVsZW1lbnQpO1xuICB9XG5cbiAgLyoqIFJlbW92ZXMgdGhlIGNhbnZhcyBmdW5jdGlvbmFsaXR5IGZyb20gdGhlIERPTSBlbGVtZW50LiAqL1xuICBkaXNwb3NlKCkge1xuICAgIHRoaXMuX2l0ZW1zLmZvckVhY2goKHN1YnNjcmlwdGlvbiwgaXRlbSkgPT4ge1xuICAgICAgc3Vic2NyaXB0aW9uLnVuc3Vic2NyaWJlKCk7XG4gICAgICBpdGVtLmNvbnN0cmFpbkZyZWVEcmFnUG9zaXRpb24gPSB1bmRlZmluZWQ7XG4gICAgfSk7XG4gICAgdGhpcy5faXRlbXMuY2xlYXIoKTtcbiAgICB0aGlzLl9yZW1vdmVHdWlkZXMoKTtcbiAgICB0aGlzLl9hY3RpdmVJdGVtID0gdGhpcy5fcGVuZGluZ09yaWdpbiA9IG51bGw7XG4gICAgdGhpcy5iZWZvcmVTdGFydGVkLmNvbXBsZXRlKCk7XG4gICAgdGhpcy5kcm9wcGVkLmNvbXBsZXRlKCk7XG4gIH1cblxuICAvKiogV2hldGhlciBhbiBpdGVtIGluc2lkZSB0aGUgY2FudmFzIGlzIGJlaW5nIGRyYWdnZWQuICovXG4gIGlzRHJhZ2dpbmcoKTogYm9vbGVhbiB7XG4gICAgcmV0dXJuICEhdGhpcy5fYWN0aXZlSXRlbTtcbiAgfVxuXG4gIC8qKlxuICAgKiBSZWdpc3RlcnMgYW4gaXRlbSB3aXRoIHRoZSBjYW52YXMuXG4gICAqIEBwYXJhbSBpdGVtIEl0ZW0gdG8gYmUgYWRkZWQuXG4gICAqL1xuICBhZGRJdGVtKGl0ZW06IERyYWdSZWYpOiB0aGlzIHtcbiAgICBpZiAoIXRoaXMuX2l0ZW1zLmhhcyhpdGVtKSkge1xuICAgICAgY29uc3Qgc3Vic2NyaXB0aW9uID0gbmV3IFN1YnNjcmlwdGlvbigpO1xuICAgICAgc3Vic2NyaXB0aW9uLmFkZChpdGVtLmJlZm9yZVN0YXJ0ZWQuc3Vic2NyaWJlKCgpID0+IHRoaXMuX21lYXN1cmVJdGVtT3JpZ2luKGl0ZW0pKSk7XG4gICAgICBzdWJzY3JpcHRpb24uYWRkKGl0ZW0uc3RhcnRlZC5zdWJzY3JpYmUoKCkgPT4gdGhpcy5faXRlbVN0YXJ0ZWQoaXRlbSkpKTtcbiAgICAgIHN1YnNjcmlwdGlvbi5hZGQoaXRlbS5lbmRlZC5zdWJzY3JpYmUoKCkgPT4gdGhpcy5faXRlbUVuZGVkKGl0ZW0pKSk7XG4gICAgICBpdGVtLmNvbnN0cmFpbkZyZWVEcmFnUG9zaXRpb24gPSB0aGlzLl9jb25zdHJhaW5Qb3NpdGlvbjtcbiAgICAgIHRoaXMuX2l0ZW1zLnNldChpdGVtLCBzdWJzY3JpcHRpb24pO1xuICAgIH1cblxuICAgIHJldHVybiB0aGlzO1xuICB9XG5cbiAgLyoqXG4gICAqIFJlbW92ZXMgYW4gaXRlbSBmcm9tIHRoZSBjYW52YXMuXG4gICAqIEBwYXJhbSBpdGVtIEl0ZW0gdG8gYmUgcmVtb3ZlZC5cbiAgICovXG4gIHJlbW92ZUl0ZW0oaXRlbTogRHJhZ1JlZik6IHRoaXMge1xuICAgIGNvbnN0IHN1YnNjcmlwdGlvbiA9IHRoaXMuX2l0ZW1zLmdldChpdGVtKTtcblxuICAgIGlmIChzdWJzY3JpcHRpb24pIHtcbiAgICAgIHN1YnNjcmlwdGlvbi51bnN1YnNjcmliZSgpO1xuICAgICAgaXRlbS5jb25zdHJhaW5GcmVlRHJhZ1Bvc2l0aW9uID0gdW5kZWZpbmVkO1xuICAgICAgdGhpcy5faXRlbXMuZGVsZXRlKGl0ZW0pO1xuXG4gICAgICBpZiAodGhpcy5fYWN0aXZlSXRlbSAmJiB0aGlzLl9hY3RpdmVJdGVtLml0ZW0gPT09IGl0ZW0pIHtcbiAgICAgICAgdGhpcy5fcmVtb3ZlR3VpZGVzKCk7XG4gICAgICAgIHRoaXMuX2FjdGl2ZUl0ZW0gPSBudWxsO1xuICAgICAgfVxuICAgIH1cblxuICAgIHJldHVybiB0aGlzO1xuICB9XG5cbiAgLyoqXG4gICAqIEdldHMgdGhlIHBvc2l0aW9uIG9mIGFuIGl0ZW0gcmVsYXRpdmUgdG8gdGhlIGNhbnZhcy5cbiAgICogQHBhcmFtIGl0ZW0gSXRlbSB3aG9zZSBwb3NpdGlvbiBzaG91bGQgYmUgZGV0ZXJtaW5lZC5cbiAgICovXG4gIGdldEl0ZW1Qb3NpdGlvbihpdGVtOiBEcmFnUmVmKTogUG9pbnQge1xuICAgIGNvbnN0IHJlY3QgPSB0aGlzLl9nZXRSZWN0SW5DYW52YXMoaXRlbSk7XG4gICAgcmV0dXJuIHt4OiByZWN0LmxlZnQsIHk6IHJlY3QudG9wfTtcbiAgfVxuXG4gIC8qKlxuICAgKiBNb3ZlcyBhbiBpdGVtIHRvIGEgc3BlY2lmaWMgcG9zaXRpb24gaW5zaWRlIHRoZSBjYW52YXMuXG4gICAqIEBwYXJhbSBpdGVtIEl0ZW0gdG8gYmUgbW92ZWQuXG4gICAqIEBwYXJhbSBwb3NpdGlvbiBQb3NpdGlvbiwgcmVsYXRpdmUgdG8gdGhlIGNhbnZhcywgdG8gd2hpY2ggdG8gbW92ZSB0aGUgaXRlbS5cbiAgICovXG4gIHNldEl0ZW1Qb3NpdGlvbihpdGVtOiBEcmFnUmVmLCBwb3NpdGlvbjogUG9pbnQpOiB0aGlzIHtcbiAgICBjb25zdCBvcmlnaW4gPSB0aGlzLl9nZXRJdGVtT3JpZ2luKGl0ZW0pO1xuICAgIGl0ZW0uc2V0RnJlZURyYWdQb3NpdGlvbih7eDogcG9zaXRpb24ueCAtIG9yaWdpbi54LCB5OiBwb3NpdGlvbi55IC0gb3JpZ2luLnl9KTtcbiAgICByZXR1cm4gdGhpcztcbiAgfVxuXG4gIC8qKiBNZWFzdXJlcyB0aGUgb3JpZ2luIG9mIGFuIGl0ZW0gYmVmb3JlIHRoZSB1c2VyIGhhcyBzdGFydGVkIG1vdmluZyBpdC4gKi9cbiAgcHJpdmF0ZSBfbWVhc3VyZUl0ZW1PcmlnaW4oaXRlbTogRHJhZ1JlZikge1xuICAgIHRoaXMuYmVmb3JlU3RhcnRlZC5uZXh0KCk7XG4gICAgdGhpcy5fcGVuZGluZ09yaWdpbiA9IHtpdGVtLCBvcmlnaW46IHRoaXMuX2dldEl0ZW1PcmlnaW4oaXRlbSl9O1xuICB9XG5cbiAgLyoqIENhY2hlcyB0aGUgc3RhdGUgb2YgdGhlIGNhbnZhcyB3aGVuIHRoZSB1c2VyIHN0YXJ0cyBkcmFnZ2luZyBvbmUgb2YgaXRzIGl0ZW1zLiAqL1xuICBwcml2YXRlIF9pdGVtU3RhcnRlZChpdGVtOiBEcmFnUmVmKSB7XG4gICAgY29uc3QgcGVuZGluZyA9IHRoaXMuX3BlbmRpbmdPcmlnaW47XG4gICAgY29uc3Qgb3JpZ2luID0gcGVuZGluZyAmJiBwZW5kaW5nLml0ZW0gPT09IGl0ZW0gPyBwZW5kaW5nLm9yaWdpbiA6IHRoaXMuX2dldEl0ZW1PcmlnaW4oaXRlbSk7XG4gICAgY29uc3QgcmVjdCA9IHRoaXMuX2dldFJlY3RJbkNhbnZhcyhpdGVtKTtcbiAgICBjb25zdCBlbGVtZW50ID0gY29lcmNlRWxlbWVudCh0aGlzLmVsZW1lbnQpO1xuICAgIGNvbnN0IHN0YXJ0UG9zaXRpb24gPSB7eDogcmVjdC5sZWZ0LCB5OiByZWN0LnRvcH07XG4gICAgY29uc3Qgc2libGluZ3M6IENhbnZhc1JlY3RbXSA9IFtdO1xuXG4gICAgdGhpcy5faXRlbXMuZm9yRWFjaCgoXywgc2libGluZykgPT4ge1xuICAgICAgaWYgKHNpYmxpbmcgIT09IGl0ZW0pIHtcbiAgICAgICAgc2libGluZ3MucHVzaCh0aGlzLl9nZXRSZWN0SW5DYW52YXMoc2libGluZykpO1xuICAgICAgfVxuICAgIH0pO1xuXG4gICAgdGhpcy5fcGVuZGluZ09yaWdpbiA9IG51bGw7XG4gICAgdGhpcy5fYWN0aXZlSXRlbSA9IHtcbiAgICAgIGl0ZW0sXG4gICAgICBvcmlnaW4sXG4gICAgICBzdGFydFBvc2l0aW9uLFxuICAgICAgbGFzdFZhbGlkUG9zaXRpb246IHN0YXJ0UG9zaXRpb24sXG4gICAgICB3aWR0aDogcmVjdC53aWR0aCxcbiAgICAgIGhlaWdodDogcmVjdC5oZWlnaHQsXG4gICAgICBzaWJsaW5ncyxcbiAgICAgIGNhbnZhc1dpZHRoOiBlbGVtZW50LnNjcm9sbFdpZHRoLFxuICAgICAgY2FudmFzSGVpZ2h0OiBlbGVtZW50LnNjcm9sbEhlaWdodFxuICAgIH07XG4gIH1cblxuICAvKiogRW1pdHMgdGhlIGZpbmFsIHBvc2l0aW9uIG9mIGFuIGl0ZW0gb25jZSB0aGUgdXNlciBoYXMgZHJvcHBlZCBpdC4gKi9cbiAgcHJpdmF0ZSBfaXRlbUVuZGVkKGl0ZW06IERyYWdSZWYpIHtcbiAgICBjb25zdCBhY3RpdmVJdGVtID0gdGhpcy5fYWN0aXZlSXRlbTtcblxuICAgIGlmICghYWN0aXZlSXRlbSB8fCBhY3RpdmVJdGVtLml0ZW0gIT09IGl0ZW0pIHtcbiAgICAgIHJldHVybjtcbiAgICB9XG5cbiAgICBjb25zdCB0cmFuc2Zvcm0gPSBpdGVtLmdldEZyZWVEcmFnUG9zaXRpb24oKTtcblxuICAgIHRoaXMuX3JlbW92ZUd1aWRlcygpO1xuICAgIHRoaXMuX2FjdGl2ZUl0ZW0gPSBudWxsO1xuICAgIHRoaXMuZHJvcHBlZC5uZXh0KHtcbiAgICAgIGl0ZW0sXG4gICAgICBjb250YWluZXI6IHRoaXMsXG4gICAgICBwb3NpdGlvbjoge1xuICAgICAgICB4OiBhY3RpdmVJdGVtLm9yaWdpbi54ICsgdHJhbnNmb3JtLngsXG4gICAgICAgIHk6IGFjdGl2ZUl0ZW0ub3JpZ2luLnkgKyB0cmFuc2Zvcm0ueVxuICAgICAgfSxcbiAgICAgIHByZXZpb3VzUG9zaXRpb246IGFjdGl2ZUl0ZW0uc3RhcnRQb3NpdGlvblxuICAgIH0pO1xuICB9XG5cbiAgLyoqXG4gICAqIEZ1bmN0aW9uIHRoYXQgaXMgYXNzaWduZWQgdG8gdGhlIGBjb25zdHJhaW5GcmVlRHJhZ1Bvc2l0aW9uYCBvZiB0aGUgY2FudmFzJyBpdGVtcy5cbiAgICogQWxpZ25zLCBzbmFwcyBhbmQgY29udGFpbnMgdGhlIHByb3Bvc2VkIHBvc2l0aW9uIG9mIHRoZSBpdGVtIHRoYXQgaXMgYmVpbmcgZHJhZ2dlZC5cbiAgICovXG4gIHByaXZhdGUgX2NvbnN0cmFpblBvc2l0aW9uID0gKHRyYW5zZm9ybTogUG9pbnQsIGl0ZW06IERyYWdSZWYpOiBQb2ludCA9PiB7XG4gICAgY29uc3QgYWN0aXZlSXRlbSA9IHRoaXMuX2FjdGl2ZUl0ZW07XG5cbiAgICBpZiAoIWFjdGl2ZUl0ZW0gfHwgYWN0aXZlSXRlbS5pdGVtICE9PSBpdGVtKSB7XG4gICAgICByZXR1cm4gdHJhbnNmb3JtO1xuICAgIH1cblxuICAgIGNvbnN0IHtvcmlnaW4sIHdpZHRoLCBoZWlnaHQsIHNpYmxpbmdzfSA9IGFjdGl2ZUl0ZW07XG4gICAgY29uc3QgZ3VpZGVzOiBDYW52YXNHdWlkZVtdID0gW107XG4gICAgY29uc3QgdGhyZXNob2xkID0gdGhpcy5ndWlkZVRocmVzaG9sZDtcbiAgICBsZXQgeCA9IG9yaWdpbi54ICsgdHJhbnNmb3JtLng7XG4gICAgbGV0IHkgPSBvcmlnaW4ueSArIHRyYW5zZm9ybS55O1xuXG4gICAgY29uc3QgYWxpZ25lZFggPSB0aHJlc2hvbGQgPiAwID9cbiAgICAgICAgZ2V0QWxpZ25tZW50KHgsIHdpZHRoLCBzaWJsaW5ncy5tYXAocyA9PiBbcy5sZWZ0LCBzLndpZHRoXSksIHRocmVzaG9sZCkgOiBudWxsO1xuICAgIGNvbnN0IGFsaWduZWRZID0gdGhyZXNob2xkID4gMCA/XG4gICAgICAgIGdldEFsaWdubWVudCh5LCBoZWlnaHQsIHNpYmxpbmdzLm1hcChzID0+IFtzLnRvcCwgcy5oZWlnaHRdKSwgdGhyZXNob2xkKSA6IG51bGw7XG5cbiAgICBpZiAoYWxpZ25lZFgpIHtcbiAgICAgIHggPSBhbGlnbmVkWC5wb3NpdGlvbjtcbiAgICAgIGd1aWRlcy5wdXNoKHtvcmllbnRhdGlvbjogJ3ZlcnRpY2FsJywgcG9zaXRpb246IGFsaWduZWRYLmd1aWRlfSk7XG4gICAgfSBlbHNlIHtcbiAgICAgIHggPSBzbmFwVG9HcmlkKHgsIHRoaXMuZ3JpZFNpemUpO1xuICAgIH1cblxuICAgIGlmIChhbGlnbmVkWSkge1xuICAgICAgeSA9IGFsaWduZWRZLnBvc2l0aW9uO1xuICAgICAgZ3VpZGVzLnB1c2goe29yaWVudGF0aW9uOiAnaG9yaXpvbnRhbCcsIHBvc2l0aW9uOiBhbGlnbmVkWS5ndWlkZX0pO1xuICAgIH0gZWxzZSB7XG4gICAgICB5ID0gc25hcFRvR3JpZCh5LCB0aGlzLmdyaWRTaXplKTtcbiAgICB9XG5cbiAgICB4ID0gY2xhbXAoeCwgMCwgYWN0aXZlSXRlbS5jYW52YXNXaWR0aCAtIHdpZHRoKTtcbiAgICB5ID0gY2xhbXAoeSwgMCwgYWN0aXZlSXRlbS5jYW52YXNIZWlnaHQgLSBoZWlnaHQpO1xuXG4gICAgaWYgKHRoaXMucHJldmVudE92ZXJsYXApIHtcbiAgICAgIGNvbnN0IHBvc2l0aW9uID0gdGhpcy5fcmVzb2x2ZUNvbGxpc2lvbnMoe3gsIHl9KTtcbiAgICAgIHggPSBwb3NpdGlvbi54O1xuICAgICAgeSA9IHBvc2l0aW9uLnk7XG4gICAgfVxuXG4gICAgYWN0aXZlSXRlbS5sYXN0VmFsaWRQb3NpdGlvbiA9IHt4LCB5fTtcbiAgICB0aGlzLl9yZW5kZXJHdWlkZXMoZ3VpZGVzKTtcblxuICAgIHJldHVybiB7eDogeCAtIG9yaWdpbi54LCB5OiB5IC0gb3JpZ2luLnl9O1xuICB9XG5cbiAgLyoqXG4gICAqIFJlc29sdmVzIGNvbGxpc2lvbnMgYmV0d2VlbiB0aGUgaXRlbSB0aGF0IGlzIGJlaW5nIGRyYWdnZWQgYW5kIGl0cyBzaWJsaW5ncy4gSWYgdGhlXG4gICAqIHByb3Bvc2VkIHBvc2l0aW9uIG92ZXJsYXBzIHdpdGggYSBzaWJsaW5nLCB0aGUgaXRlbSBpcyBhbGxvd2VkIHRvIHNsaWRlIGFsb25nIHRoZSBheGlzXG4gICAqIHRoYXQgaXMgc3RpbGwgZnJlZSwgb3RoZXJ3aXNlIGl0IHN0YXlzIGF0IGl0cyBsYXN0IHZhbGlkIHBvc2l0aW9uLlxuICAgKi9cbiAgcHJpdmF0ZSBfcmVzb2x2ZUNvbGxpc2lvbnMocG9zaXRpb246IFBvaW50KTogUG9pbnQge1xuICAgIGNvbnN0IHtsYXN0VmFsaWRQb3NpdGlvbiwgd2lkdGgsIGhlaWdodCwgc2libGluZ3N9ID0gdGhpcy5fYWN0aXZlSXRlbSE7XG4gICAgY29uc3QgY2FuZGlkYXRlcyA9IFtcbiAgICAgIHBvc2l0aW9uLFxuICAgICAge3g6IHBvc2l0aW9uLngsIHk6IGxhc3RWYWxpZFBvc2l0aW9uLnl9LFxuICAgICAge3g6IGxhc3RWYWxpZFBvc2l0aW9uLngsIHk6IHBvc2l0aW9uLnl9XG4gICAgXTtcblxuICAgIGZvciAoY29uc3QgY2FuZGlkYXRlIG9mIGNhbmRpZGF0ZXMpIHtcbiAgICAgIGNvbnN0IHJlY3QgPSB7bGVmdDogY2FuZGlkYXRlLngsIHRvcDogY2FuZGlkYXRlLnksIHdpZHRoLCBoZWlnaHR9O1xuXG4gICAgICBpZiAoIXNpYmxpbmdzLnNvbWUoc2libGluZyA9PiByZWN0c092ZXJsYXAocmVjdCwgc2libGluZykpKSB7XG4gICAgICAgIHJldHVybiBjYW5kaWRhdGU7XG4gICAgICB9XG4gICAgfVxuXG4gICAgcmV0dXJuIGxhc3RWYWxpZFBvc2l0aW9uO1xuICB9XG5cbiAgLyoqIFJlbmRlcnMgdGhlIGFsaWdubWVudCBndWlkZXMgaW5zaWRlIHRoZSBjYW52YXMuICovXG4gIHByaXZhdGUgX3JlbmRlckd1aWRlcyhndWlkZXM6IENhbnZhc0d1aWRlW10pIHtcbiAgICBjb25zdCBlbGVtZW50ID0gY29lcmNlRWxlbWVudCh0aGlzLmVsZW1lbnQpO1xuICAgIGNvbnN0IHtjYW52YXNXaWR0aCwgY2FudmFzSGVpZ2h0fSA9IHRoaXMuX2FjdGl2ZUl0ZW0hO1xuXG4gICAgZ3VpZGVzLmZvckVhY2goKGd1aWRlLCBpbmRleCkgPT4ge1xuICAgICAgbGV0IGd1aWRlRWxlbWVudCA9IHRoaXMuX2d1aWRlRWxlbWVudHNbaW5kZXhdO1xuXG4gICAgICBpZiAoIWd1aWRlRWxlbWVudCkge1xuICAgICAgICBndWlkZUVsZW1lbnQgPSB0aGlzLl9kb2N1bWVudC5jcmVhdGVFbGVtZW50KCdkaXYnKTtcbiAgICAgICAgZ3VpZGVFbGVtZW50LnNldEF0dHJpYnV0ZSgnYXJpYS1oaWRkZW4nLCAndHJ1ZScpO1xuICAgICAgICB0aGlzLl9ndWlkZUVsZW1lbnRzLnB1c2goZ3VpZGVFbGVtZW50KTtcbiAgICAgIH1cblxuICAgICAgY29uc3QgaXNWZXJ0aWNhbCA9IGd1aWRlLm9yaWVudGF0aW9uID09PSAndmVydGljYWwnO1xuICAgICAgZ3VpZGVFbGVtZW50LmNsYXNzTmFtZSA9XG4gICAgICAgICAgYGNkay1kcmFnLWNhbnZhcy1ndWlkZSBjZGstZHJhZy1jYW52YXMtZ3VpZGUtJHtndWlkZS5vcmllbnRhdGlvbn1gO1xuICAgICAgZXh0ZW5kU3R5bGVzKGd1aWRlRWxlbWVudC5zdHlsZSwge1xuICAgICAgICBwb3NpdGlvbjogJ2Fic29sdXRlJyxcbiAgICAgICAgcG9pbnRlckV2ZW50czogJ25vbmUnLFxuICAgICAgICBsZWZ0OiBgJHtpc1ZlcnRpY2FsID8gZ3VpZGUucG9zaXRpb24gOiAwfXB4YCxcbiAgICAgICAgdG9wOiBgJHtpc1ZlcnRpY2FsID8gMCA6IGd1aWRlLnBvc2l0aW9ufXB4YCxcbiAgICAgICAgd2lkdGg6IGAke2lzVmVydGljYWwgPyAwIDogY2FudmFzV2lkdGh9cHhgLFxuICAgICAgICBoZWlnaHQ6IGAke2lzVmVydGljYWwgPyBjYW52YXNIZWlnaHQgOiAwfXB4YFxuICAgICAgfSk7XG5cbiAgICAgIGlmIChndWlkZUVsZW1lbnQucGFyZW50Tm9kZSAhPT0gZWxlbWVudCkge1xuICAgICAgICBlbGVtZW50LmFwcGVuZENoaWxkKGd1aWRlRWxlbWVudCk7XG4gICAgICB9XG4gICAgfSk7XG5cbiAgICAvLyBSZW1vdmUgYW55IGd1aWRlcyB0aGF0IGFyZW4ndCBuZWNlc3NhcnkgYW55bW9yZS5cbiAgICB0aGlzLl9ndWlkZUVsZW1lbnRzLnNwbGljZShndWlkZXMubGVuZ3RoKS5mb3JFYWNoKHJlbW92ZUd1aWRlKTtcbiAgfVxuXG4gIC8qKiBSZW1vdmVzIGFsbCBvZiB0aGUgYWxpZ25tZW50IGd1aWRlcyBmcm9tIHRoZSBET00uICovXG4gIHByaXZhdGUgX3JlbW92ZUd1aWRlcygpIHtcbiAgICB0aGlzLl9ndWlkZUVsZW1lbnRzLmZvckVhY2gocmVtb3ZlR3VpZGUpO1xuICAgIHRoaXMuX2d1aWRlRWxlbWVudHMgPSBbXTtcbiAgfVxuXG4gIC8qKlxuICAgKiBHZXRzIHRoZSBwb3NpdGlvbiB0aGF0IGFuIGl0ZW0gd291bGQgaGF2ZSBpbnNpZGUgdGhlIGNhbnZhcyBpZiBpdHMgZnJlZSBkcmFnIHBvc2l0aW9uIHdhc1xuICAgKiB6ZXJvLiBIYXMgdG8gYmUgbWVhc3VyZWQgd2hpbGUgdGhlIGl0ZW0gaXNuJ3QgYmVpbmcgZHJhZ2dlZC5cbiAgICovXG4gIHByaXZhdGUgX2dldEl0ZW1PcmlnaW4oaXRlbTogRHJhZ1JlZik6IFBvaW50IHtcbiAgICBjb25zdCByZWN0ID0gdGhpcy5fZ2V0UmVjdEluQ2FudmFzKGl0ZW0pO1xuICAgIGNvbnN0IHRyYW5zZm9ybSA9IGl0ZW0uZ2V0RnJlZURyYWdQb3NpdGlvbigpO1xuICAgIHJldHVybiB7eDogcmVjdC5sZWZ0IC0gdHJhbnNmb3JtLngsIHk6IHJlY3QudG9wIC0gdHJhbnNmb3JtLnl9O1xuICB9XG5cbiAgLyoqIEdldHMgdGhlIGRpbWVuc2lvbnMgb2YgYW4gaXRlbSwgcmVsYXRpdmUgdG8gdGhlIGNhbnZhcycgc2Nyb2xsYWJsZSBhcmVhLiAqL1xuICBwcml2YXRlIF9nZXRSZWN0SW5DYW52YXMoaXRlbTogRHJhZ1JlZik6IENhbnZhc1JlY3Qge1xuICAgIGNvbnN0IGVsZW1lbnQgPSBjb2VyY2VFbGVtZW50KHRoaXMuZWxlbWVudCk7XG4gICAgY29uc3QgY2FudmFzUmVjdCA9IGdldE11dGFibGVDbGllbnRSZWN0KGVsZW1lbnQsIHRoaXMuX2RvY3VtZW50KTtcbiAgICBjb25zdCBpdGVtUmVjdCA9IGdldE11dGFibGVDbGllbnRSZWN0KGl0ZW0uZ2V0Um9vdEVsZW1lbnQoKSwgdGhpcy5fZG9jdW1lbnQpO1xuXG4gICAgcmV0dXJuIHtcbiAgICAgIGxlZnQ6IGl0ZW1SZWN0LmxlZnQgLSBjYW52YXNSZWN0LmxlZnQgLSBlbGVtZW50LmNsaWVudExlZnQgKyBlbGVtZW50LnNjcm9sbExlZnQsXG4gICAgICB0b3A6IGl0ZW1SZWN0LnRvcCAtIGNhbnZhc1JlY3QudG9wIC0gZWxlbWVudC5jbGllbnRUb3AgKyBlbGVtZW50LnNjcm9sbFRvcCxcbiAgICAgIHdpZHRoOiBpdGVtUmVjdC53aWR0aCxcbiAgICAgIGhlaWdodDogaXRlbVJlY3QuaGVpZ2h0XG4gICAgfTtcbiAgfVxufVxuXG4vKipcbiAqIEFsaWducyB0aGUgc3RhcnQsIGNlbnRlciBvciBlbmQgb2YgYW4gaXRlbSB3aXRoIHRoZSBjbG9zZXN0IHN0YXJ0LCBjZW50ZXJcbiAqIG9yIGVuZCBvZiBvbmUgb2YgaXRzIHNpYmxpbmdzLCBpZiBpdCdzIHdpdGhpbiBhIHRocmVzaG9sZCwgYWxvbmcgb25lIGF4aXMuXG4gKiBAcGFyYW0gc3RhcnQgU3RhcnQgb2YgdGhlIGl0ZW0gYWxvbmcgdGhlIGF4aXMuXG4gKiBAcGFyYW0gc2l6ZSBTaXplIG9mIHRoZSBpdGVtIGFsb25nIHRoZSBheGlzLlxuICogQHBhcmFtIHNpYmxpbmdzIFN0YXJ0cyBhbmQgc2l6ZXMgb2YgdGhlIHNpYmxpbmdzIGFsb25nIHRoZSBheGlzLlxuICogQHBhcmFtIHRocmVzaG9sZCBNYXhpbXVtIGRpc3RhbmNlIGF0IHdoaWNoIHRoZSBpdGVtIHdpbGwgYmUgYWxpZ25lZC5cbiAqIEByZXR1cm5zIFRoZSBhbGlnbmVkIHN0YXJ0IG9mIHRoZSBpdGVtIGFuZCB0aGUgcG9zaXRpb24gb2YgdGhlIGd1aWRlLCBvciBudWxsIGlmIHRoZVxuICogICAgIGl0ZW0gaXNuJ3QgY2xvc2UgZW5vdWdoIHRvIGFueSBvZiBpdHMgc2libGluZ3MuXG4gKi9cbmZ1bmN0aW9uIGdldEFsaWdubWVudChzdGFydDogbnVtYmVyLCBzaXplOiBudW1iZXIsIHNpYmxpbmdzOiBbbnVtYmVyLCBudW1iZXJdW10sXG4gICAgICAgICAgICAgICAgICAgICAgdGhyZXNob2xkOiBudW1iZXIpOiB7cG9zaXRpb246IG51bWJlciwgZ3VpZGU6IG51bWJlcn0gfCBudWxsIHtcbiAgY29uc3QgaXRlbUVkZ2VzID0gW3N0YXJ0LCBzdGFydCArIHNpemUgLyAyLCBzdGFydCArIHNpemVdO1xuICBsZXQgcmVzdWx0OiB7cG9zaXRpb246IG51bWJlciwgZ3VpZGU6IG51bWJlcn0gfCBudWxsID0gbnVsbDtcbiAgbGV0IGNsb3Nlc3REaXN0YW5jZSA9IHRocmVzaG9sZDtcblxuICBmb3IgKGNvbnN0IFtzaWJsaW5nU3RhcnQsIHNpYmxpbmdTaXplXSBvZiBzaWJsaW5ncykge1xuICAgIGNvbnN0IHNpYmxpbmdFZGdlcyA9IFtzaWJsaW5nU3RhcnQsIHNpYmxpbmdTdGFydCArIHNpYmxpbmdTaXplIC8gMiwgc2libGluZ1N0YXJ0ICsgc2libGluZ1NpemVdO1xuXG4gICAgZm9yIChjb25zdCBzaWJsaW5nRWRnZSBvZiBzaWJsaW5nRWRnZXMpIHtcbiAgICAgIGZvciAoY29uc3QgaXRlbUVkZ2Ugb2YgaXRlbUVkZ2VzKSB7XG4gICAgICAgIGNvbnN0IGRpc3RhbmNlID0gTWF0aC5hYnMoc2libGluZ0VkZ2UgLSBpdGVtRWRnZSk7XG5cbiAgICAgICAgaWYgKGRpc3RhbmNlIDw9IGNsb3Nlc3REaXN0YW5jZSkge1xuICAgICAgICAgIGNsb3Nlc3REaXN0YW5jZSA9IGRpc3RhbmNlO1xuICAgICAgICAgIHJlc3VsdCA9IHtwb3NpdGlvbjogc3RhcnQgKyBzaWJsaW5nRWRnZSAtIGl0ZW1FZGdlLCBndWlkZTogc2libGluZ0VkZ2V9O1xuICAgICAgICB9XG4gICAgICB9XG4gICAgfVxuICB9XG5cbiAgcmV0dXJuIHJlc3VsdDtcbn1cblxuLyoqIFNuYXBzIGEgdmFsdWUgdG8gdGhlIGNsb3Nlc3QgZ3JpZCBsaW5lLiAqL1xuZnVuY3Rpb24gc25hcFRvR3JpZCh2YWx1ZTogbnVtYmVyLCBncmlkU2l6ZTogbnVtYmVyKTogbnVtYmVyIHtcbiAgcmV0dXJuIGdyaWRTaXplID4gMCA/IE1hdGgucm91bmQodmFsdWUgLyBncmlkU2l6ZSkgKiBncmlkU2l6ZSA6IHZhbHVlO1xufVxuXG4vKiogQ2xhbXBzIGEgdmFsdWUgYmV0d2VlbiBhIG1pbmltdW0gYW5kIGEgbWF4aW11bS4gKi9cbmZ1bmN0aW9uIGNsYW1wKHZhbHVlOiBudW1iZXIsIG1pbjogbnVtYmVyLCBtYXg6IG51bWJlcik6IG51bWJlciB7XG4gIHJldHVybiBNYXRoLm1heChtaW4sIE1hdGgubWluKG1heCwgdmFsdWUpKTtcbn1cblxuLyoqIENoZWNrcyB3aGV0aGVyIHR3byByZWN0YW5nbGVzIG92ZXJsYXAuIFJlY3RhbmdsZXMgdGhhdCBvbmx5IHRvdWNoIGRvbid0IG92ZXJsYXAuICovXG5mdW5jdGlvbiByZWN0c092ZXJsYXAoYTogQ2FudmFzUmVjdCwgYjogQ2FudmFzUmVjdCk6IGJvb2xlYW4ge1xuICByZXR1cm4gYS5sZWZ0IDwgYi5sZWZ0ICsgYi53aWR0aCAmJiBiLmxlZnQgPCBhLmxlZnQgKyBhLndpZHRoICYmXG4gICAgICAgICBhLnRvcCA8IGIudG9wICsgYi5oZWlnaHQgJiYgYi50b3AgPCBhLnRvcCArIGEuaGVpZ2h0O1xufVxuXG4vKiogUmVtb3ZlcyBhbiBhbGlnbm1lbnQgZ3VpZGUgZnJvbSB0aGUgRE9NLiAqL1xuZnVuY3Rpb24gcmVtb3ZlR3VpZGUoZ3VpZGU6IEhUTUxFbGVtZW50KSB7XG4gIGlmIChndWlkZS5wYXJlbnROb2RlKSB7XG4gICAgZ3VpZGUucGFyZW50Tm9kZS5yZW1vdmVDaGlsZChndWlkZSk7XG4gIH1cbn1cbiJdfQ==
\ No newline at end of file
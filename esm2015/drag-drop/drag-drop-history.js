@@ -0,0 +1,190 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { Injectable } from '@angular/core';
+import { Subject } from 'rxjs';
+import { copyArrayItems, moveItemsInArray, transferArrayItems } from './drag-utils';
+import * as i0 from "@angular/core";
+/**
+ * Service that applies the outcome of drag&drop interactions to the data of the drop lists and
+ * keeps track of them so they can be undone and redone. The service is shared across the app by
+ * default, but it can be provided on a component in order to keep a separate history for it.
+ */
+export class DragDropHistory {
+    constructor() {
+        /** Operations that can be undone, from oldest to newest. */
+        this._undoStack = [];
+        /** Operations that can be redone, from oldest to newest. */
+        this._redoStack = [];
+        /** Maximum number of operations that are kept in the history. */
+        this.maxSize = 100;
+        /** Emits when an operation is applied, undone or redone. */
+        this.changes = new Subject();
+    }
+    ngOnDestroy() {
+        this.clear();
+        this.changes.complete();
+    }
+    /**
+     * Applies the outcome of a drop to the data of the drop lists involved and records it in the
+     * history. Expects the `data` of the drop lists to be the arrays that they're rendering.
+     * @param event Event emitted when the user dropped the item.
+     * @param type Kind of operation to perform. Defaults to `copy` if the drop effect was `copy`,
+     *   to `move` if the item was dropped in the same list that it was picked up from and to
+     *   `transfer` otherwise.
+     * @returns Operation that was applied.
+     */
+    apply(event, type) {
+        const previousArray = event.previousContainer.data;
+        const currentArray = event.container.data;
+        const indices = event.previousIndices && event.previousIndices.length ?
+            event.previousIndices : [event.previousIndex];
+        if (!type) {
+            if (event.dropEffect === 'copy') {
+                type = 'copy';
+            }
+            else {
+                type = previousArray === currentArray ? 'move' : 'transfer';
+            }
+        }
+        if ((typeof ngDevMode === 'undefined' || ngDevMode) &&
+            type === 'move' && previousArray !== currentArray) {
+            throw Error('DragDropHistory: cannot record a `move` operation between different arrays.');
+        }
+        const previousIndices = indices
+            .filter((index, position) => index > -1 && index < previousArray.length &&
+            indices.indexOf(index) === position)
+            .sort((a, b) => a - b);
+        const items = previousIndices.map(index => previousArray[index]);
+        const maxIndex = type === 'move' ? currentArray.length - items.length : currentArray.length;
+        const operation = {
+            type,
+            items,
+            previousArray,
+            currentArray,
+            previousIndices,
+            currentIndex: Math.max(0, Math.min(maxIndex, event.currentIndex))
+        };
+        applyOperation(operation);
+        this._undoStack.push(operation);
+        this._redoStack = [];
+        if (this._undoStack.length > this.maxSize) {
+            this._undoStack.splice(0, this._undoStack.length - this.maxSize);
+        }
+        this.changes.next({ action: 'apply', operation });
+        return operation;
+    }
+    /**
+     * Reverts the most recent operation. The history is cleared if the arrays have been changed
+     * since the operation was applied in a way that doesn't allow it to be reverted safely.
+     * @returns Operation that was undone, or null if there was nothing to undo.
+     */
+    undo() {
+        const operation = this._undoStack.pop();
+        if (!operation) {
+            return null;
+        }
+        if (!canRevertOperation(operation)) {
+            this.clear();
+            return null;
+        }
+        revertOperation(operation);
+        this._redoStack.push(operation);
+        this.changes.next({ action: 'undo', operation });
+        return operation;
+    }
+    /**
+     * Re-applies the most recently undone operation. The history is cleared if the arrays have been
+     * changed since the operation was undone in a way that doesn't allow it to be applied safely.
+     * @returns Operation that was redone, or null if there was nothing to redo.
+     */
+    redo() {
+        const operation = this._redoStack.pop();
+        if (!operation) {
+            return null;
+        }
+        if (!canApplyOperation(operation)) {
+            this.clear();
+            return null;
+        }
+        applyOperation(operation);
+        this._undoStack.push(operation);
+        this.changes.next({ action: 'redo', operation });
+        return operation;
+    }
+    /** Whether there are any operations that can be undone. */
+    canUndo() {
+        return this._undoStack.length > 0;
+    }
+    /** Whether there are any operations that can be redone. */
+    canRedo() {
+        return this._redoStack.length > 0;
+    }
+    /** Removes all of the operations from the history. */
+    clear() {
+        this._undoStack = [];
+        this._redoStack = [];
+    }
+}
+DragDropHistory.ɵprov = i0.ɵɵdefineInjectable({ factory: function DragDropHistory_Factory() { return new DragDropHistory(); }, token: DragDropHistory, providedIn: "root" });
+DragDropHistory.decorators = [
+    { type: Injectable, args: [{ providedIn: 'root' },] }
+];
+/** Applies an operation to its arrays. */
+function applyOperation(operation) {
+    const { type, previousArray, currentArray, previousIndices, currentIndex } = operation;
+    if (type === 'move') {
+        moveItemsInArray(currentArray, previousIndices, currentIndex);
+    }
+    else if (type === 'transfer') {
+        transferArrayItems(previousArray, currentArray, previousIndices, currentIndex);
+    }
+    else {
+        copyArrayItems(previousArray, currentArray, previousIndices, currentIndex);
+    }
+}
+/**
+ * Whether an operation can be applied to its arrays, i.e. its items are still at their
+ * previous indices and the current index is still within the current array.
+ */
+function canApplyOperation(operation) {
+    const { type, items, previousArray, currentArray, previousIndices, currentIndex } = operation;
+    const remainingLength = type === 'move' ? currentArray.length - items.length : currentArray.length;
+    return currentIndex <= remainingLength &&
+        previousIndices.every((index, i) => previousArray[index] === items[i]);
+}
+/**
+ * Whether an operation can be reverted, i.e. its items are still next to each other starting
+ * from the current index and their previous indices are still within the previous array.
+ */
+function canRevertOperation(operation) {
+    const { type, items, previousArray, currentArray, previousIndices, currentIndex } = operation;
+    if (currentIndex + items.length > currentArray.length ||
+        !items.every((item, i) => currentArray[currentIndex + i] === item)) {
+        return false;
+    }
+    // Copied items don't have to be restored in the previous array.
+    if (type === 'copy') {
+        return true;
+    }
+    // The items are inserted back in ascending order so each one can be placed
+    // at most at the end of the array, including the items restored before it.
+    const remainingLength = type === 'move' ? previousArray.length - items.length : previousArray.length;
+    return previousIndices.every((index, i) => index <= remainingLength + i);
+}
+/** Reverts an operation that was applied to its arrays. */
+function revertOperation(operation) {
+    const { type, items, previousArray, currentArray, previousIndices, currentIndex } = operation;
+    // All operations place the items next to each other, starting from the current index.
+    currentArray.splice(currentIndex, items.length);
+    // Copying doesn't remove the items from the previous array so there's nothing to restore.
+    // Otherwise put the items back in ascending order so the indices line up with the original.
+    if (type !== 'copy') {
+        previousIndices.forEach((index, i) => previousArray.splice(index, 0, items[i]));
+    }
+}
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZHJhZy1kcm9wLWhpc3RvcnkuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyIuLi8uLi8uLi8uLi8uLi8uLi9zcmMvY2RrL2RyYWctZHJvcC9kcmFnLWRyb3AtaGlzdG9yeS50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiQUFBQTs7Ozs7O0dBTUc7QUFFSCxPQUFPLEVBQUMsVUFBVSxFQUFZLE1BQU0sZUFBZSxDQUFDO0FBQ3BELE9BQU8sRUFBQyxPQUFPLEVBQUMsTUFBTSxNQUFNLENBQUM7QUFFN0IsT0FBTyxFQUFDLGNBQWMsRUFBRSxnQkFBZ0IsRUFBRSxrQkFBa0IsRUFBQyxNQUFNLGNBQWMsQ0FBQzs7QUFrQ2xGOzs7O0dBSUc7QUFFSCxNQUFNLE9BQU8sZUFBZTtJQUQ1QjtRQUVFLDREQUE0RDtRQUNwRCxlQUFVLEdBQXdCLEVBQUUsQ0FBQztRQUU3Qyw0REFBNEQ7UUFDcEQsZUFBVSxHQUF3QixFQUFFLENBQUM7UUFFN0MsaUVBQWlFO1FBQ2pFLFlBQU8sR0FBVyxHQUFHLENBQUM7UUFFdEIsNERBQTREO1FBQ25ELFlBQU8sR0FBRyxJQUFJLE9BQU8sRUFBeUIsQ0FBQztLQTRIekQ7SUExSEMsV0FBVztRQUNULElBQUksQ0FBQyxLQUFLLEVBQUUsQ0FBQztRQUNiLElBQUksQ0FBQyxPQUFPLENBQUMsUUFBUSxFQUFFLENBQUM7SUFDMUIsQ0FBQztJQUVEOzs7Ozs7OztPQVFHO0lBQ0gsS0FBSyxDQUFVLEtBQTRCLEVBQzVCLElBQTRCO1FBQ3pDLE1BQU0sYUFBYSxHQUFHLEtBQUssQ0FBQyxpQkFBaUIsQ0FBQyxJQUFJLENBQUM7UUFDbkQsTUFBTSxZQUFZLEdBQUcsS0FBSyxDQUFDLFNBQVMsQ0FBQyxJQUFJLENBQUM7UUFDMUMsTUFBTSxPQUFPLEdBQUcsS0FBSyxDQUFDLGVBQWUsSUFBSSxLQUFLLENBQUMsZUFBZSxDQUFDLE1BQU0sQ0FBQyxDQUFDO1lBQ25FLEtBQUssQ0FBQyxlQUFlLENBQUMsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLGFBQWEsQ0FBQyxDQUFDO1FBRWxELElBQUksQ0FBQyxJQUFJLEVBQUU7WUFDVCxJQUFJLEtBQUssQ0FBQyxVQUFVLEtBQUssTUFBTSxFQUFFO2dCQUMvQixJQUFJLEdBQUcsTUFBTSxDQUFDO2FBQ2Y7aUJBQU07Z0JBQ0wsSUFBSSxHQUFHLGFBQWEsS0FBSyxZQUFZLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsVUFBVSxDQUFDO2FBQzdEO1NBQ0Y7UUFFRCxJQUFJLENBQUMsT0FBTyxTQUFTLEtBQUssV0FBVyxJQUFJLFNBQVMsQ0FBQztZQUMvQyxJQUFJLEtBQUssTUFBTSxJQUFJLGFBQWEsS0FBSyxZQUFZLEVBQUU7WUFDckQsTUFBTSxLQUFLLENBQUMsNkVBQTZFLENBQUMsQ0FBQztTQUM1RjtRQUVELE1BQU0sZUFBZSxHQUFHLE9BQU87YUFDNUIsTUFBTSxDQUFDLENBQUMsS0FBSyxFQUFFLFFBQVEsRUFBRSxFQUFFLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxJQUFJLEtBQUssR0FBRyxhQUFhLENBQUMsTUFBTTtZQUMxQyxPQUFPLENBQUMsT0FBTyxDQUFDLEtBQUssQ0FBQyxLQUFLLFFBQVEsQ0FBQzthQUNoRSxJQUFJLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUM7UUFDekIsTUFBTSxLQUFLLEdBQUcsZUFBZSxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLGFBQWEsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDO1FBQ2pFLE1BQU0sUUFBUSxHQUFHLElBQUksS0FBSyxNQUFNLENBQUMsQ0FBQyxDQUFDLFlBQVksQ0FBQyxNQUFNLEdBQUcsS0FBSyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsWUFBWSxDQUFDLE1BQU0sQ0FBQztRQUM1RixNQUFNLFNBQVMsR0FBeUI7WUFDdEMsSUFBSTtZQUNKLEtBQUs7WUFDTCxhQUFhO1lBQ2IsWUFBWTtZQUNaLGVBQWU7WUFDZixZQUFZLEVBQUUsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLEVBQUUsSUFBSSxDQUFDLEdBQUcsQ0FBQyxRQUFRLEVBQUUsS0FBSyxDQUFDLFlBQVksQ0FBQyxDQUFDO1NBQ2xFLENBQUM7UUFFRixjQUFjLENBQUMsU0FBUyxDQUFDLENBQUM7UUFDMUIsSUFBSSxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLENBQUM7UUFDaEMsSUFBSSxDQUFDLFVBQVUsR0FBRyxFQUFFLENBQUM7UUFFckIsSUFBSSxJQUFJLENBQUMsVUFBVSxDQUFDLE1BQU0sR0FBRyxJQUFJLENBQUMsT0FBTyxFQUFFO1lBQ3pDLElBQUksQ0FBQyxVQUFVLENBQUMsTUFBTSxDQUFDLENBQUMsRUFBRSxJQUFJLENBQUMsVUFBVSxDQUFDLE1BQU0sR0FBRyxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUM7U0FDbEU7UUFFRCxJQUFJLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxFQUFDLE1BQU0sRUFBRSxPQUFPLEVBQUUsU0FBUyxFQUFDLENBQUMsQ0FBQztRQUNoRCxPQUFPLFNBQVMsQ0FBQztJQUNuQixDQUFDO0lBRUQ7Ozs7T0FJRztJQUNILElBQUk7UUFDRixNQUFNLFNBQVMsR0FBRyxJQUFJLENBQUMsVUFBVSxDQUFDLEdBQUcsRUFBRSxDQUFDO1FBRXhDLElBQUksQ0FBQyxTQUFTLEVBQUU7WUFDZCxPQUFPLElBQUksQ0FBQztTQUNiO1FBRUQsSUFBSSxDQUFDLGtCQUFrQixDQUFDLFNBQVMsQ0FBQyxFQUFFO1lBQ2xDLElBQUksQ0FBQyxLQUFLLEVBQUUsQ0FBQztZQUNiLE9BQU8sSUFBSSxDQUFDO1NBQ2I7UUFFRCxlQUFlLENBQUMsU0FBUyxDQUFDLENBQUM7UUFDM0IsSUFBSSxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLENBQUM7UUFDaEMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsRUFBQyxNQUFNLEVBQUUsTUFBTSxFQUFFLFNBQVMsRUFBQyxDQUFDLENBQUM7UUFDL0MsT0FBTyxTQUFTLENBQUM7SUFDbkIsQ0FBQztJQUVEOzs7O09BSUc7SUFDSCxJQUFJO1FBQ0YsTUFBTSxTQUFTLEdBQUcsSUFBSSxDQUFDLFVBQVUsQ0FBQyxHQUFHLEVBQUUsQ0FBQztRQUV4QyxJQUFJLENBQUMsU0FBUyxFQUFFO1lBQ2QsT0FBTyxJQUFJLENBQUM7U0FDYjtRQUVELElBQUksQ0FBQyxpQkFBaUIsQ0FBQyxTQUFTLENBQUMsRUFBRTtZQUNqQyxJQUFJLENBQUMsS0FBSyxFQUFFLENBQUM7WUFDYixPQUFPLElBQUksQ0FBQztTQUNiO1FBRUQsY0FBYyxDQUFDLFNBQVMsQ0FBQyxDQUFDO1FBQzFCLElBQUksQ0FBQyxVQUFVLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDO1FBQ2hDLElBQUksQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLEVBQUMsTUFBTSxFQUFFLE1BQU0sRUFBRSxTQUFTLEVBQUMsQ0FBQyxDQUFDO1FBQy9DLE9BQU8sU0FBUyxDQUFDO0lBQ25CLENBQUM7SUFFRCwyREFBMkQ7SUFDM0QsT0FBTztRQUNMLE9BQU8sSUFBSSxDQUFDLFVBQVUsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDO0lBQ3BDLENBQUM7SUFFRCwyREFBMkQ7SUFDM0QsT0FBTztRQUNMLE9BQU8sSUFBSSxDQUFDLFVBQVUsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDO0lBQ3BDLENBQUM7SUFFRCxzREFBc0Q7SUFDdEQsS0FBSztRQUNILElBQUksQ0FBQyxVQUFVLEdBQUcsRUFBRSxDQUFDO1FBQ3JCLElBQUksQ0FBQyxVQUFVLEdBQUcsRUFBRSxDQUFDO0lBQ3ZCLENBQUM7Ozs7WUF2SUYsVUFBVSxTQUFDLEVBQUMsVUFBVSxFQUFFLE1BQU0sRUFBQzs7QUEwSWhDLDBDQUEwQztBQUMxQyxTQUFTLGNBQWMsQ0FBQyxTQUE0QjtJQUNsRCxNQUFNLEVBQUMsSUFBSSxFQUFFLGFBQWEsRUFBRSxZQUFZLEVBQUUsZUFBZSxFQUFFLFlBQVksRUFBQyxHQUFHLFNBQVMsQ0FBQztJQUVyRixJQUFJLElBQUksS0FBSyxNQUFNLEVBQUU7UUFDbkIsZ0JBQWdCLENBQUMsWUFBWSxFQUFFLGVBQWUsRUFBRSxZQUFZLENBQUMsQ0FBQztLQUMvRDtTQUFNLElBQUksSUFBSSxLQUFLLFVBQVUsRUFBRTtRQUM5QixrQkFBa0IsQ0FBQyxhQUFhLEVBQUUsWUFBWSxFQUFFLGVBQWUsRUFBRSxZQUFZLENBQUMsQ0FBQztLQUNoRjtTQUFNO1FBQ0wsY0FBYyxDQUFDLGFBQWEsRUFBRSxZQUFZLEVBQUUsZUFBZSxFQUFFLFlBQVksQ0FBQyxDQUFDO0tBQzVFO0FBQ0gsQ0FBQztBQUVEOzs7R0FHRztBQUNILFNBQVMsaUJBQWlCLENBQUMsU0FBNEI7SUFDckQsTUFBTSxFQUFDLElBQUksRUFBRSxLQUFLLEVBQUUsYUFBYSxFQUFFLFlBQVksRUFBRSxlQUFlLEVBQUUsWUFBWSxFQUFDLEdBQUcsU0FBUyxDQUFDO0lBQzVGLE1BQU0sZUFBZSxHQUNqQixJQUFJLEtBQUssTUFBTSxDQUFDLENBQUMsQ0FBQyxZQUFZLENBQUMsTUFBTSxHQUFHLEtBQUssQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLFlBQVksQ0FBQyxNQUFNLENBQUM7SUFFL0UsT0FBTyxZQUFZLElBQUksZUFBZTtRQUMvQixlQUFlLENBQUMsS0FBSyxDQUFDLENBQUMsS0FBSyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUMsYUFBYSxDQUFDLEtBQUssQ0FBQyxLQUFLLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO0FBQ2hGLENBQUM7QUFFRDs7O0dBR0c7QUFDSCxTQUFTLGtCQUFrQixDQUFDLFNBQTRCO0lBQ3RELE1BQU0sRUFBQyxJQUFJLEVBQUUsS0FBSyxFQUFFLGFBQWEsRUFBRSxZQUFZLEVBQUUsZUFBZSxFQUFFLFlBQVksRUFBQyxHQUFHLFNBQVMsQ0FBQztJQUU1RixJQUFJLFlBQVksR0FBRyxLQUFLLENBQUMsTUFBTSxHQUFHLFlBQVksQ0FBQyxNQUFNO1FBQ2pELENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLEVBQUUsRUFBRSxDQUFDLFlBQVksQ0FBQyxZQUFZLEdBQUcsQ0FBQyxDQUFDLEtBQUssSUFBSSxDQUFDLEVBQUU7UUFDdEUsT0FBTyxLQUFLLENBQUM7S0FDZDtJQUVELGdFQUFnRTtJQUNoRSxJQUFJLElBQUksS0FBSyxNQUFNLEVBQUU7UUFDbkIsT0FBTyxJQUFJLENBQUM7S0FDYjtJQUVELDJFQUEyRTtJQUMzRSwyRUFBMkU7SUFDM0UsTUFBTSxlQUFlLEdBQ2pCLElBQUksS0FBSyxNQUFNLENBQUMsQ0FBQyxDQUFDLGFBQWEsQ0FBQyxNQUFNLEdBQUcsS0FBSyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsYUFBYSxDQUFDLE1BQU0sQ0FBQztJQUNqRixPQUFPLGVBQWUsQ0FBQyxLQUFLLENBQUMsQ0FBQyxLQUFLLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxLQUFLLElBQUksZUFBZSxHQUFHLENBQUMsQ0FBQyxDQUFDO0FBQzNFLENBQUM7QUFFRCwyREFBMkQ7QUFDM0QsU0FBUyxlQUFlLENBQUMsU0FBNEI7SUFDbkQsTUFBTSxFQUFDLElBQUksRUFBRSxLQUFLLEVBQUUsYUFBYSxFQUFFLFlBQVksRUFBRSxlQUFlLEVBQUUsWUFBWSxFQUFDLEdBQUcsU0FBUyxDQUFDO0lBRTVGLHNGQUFzRjtJQUN0RixZQUFZLENBQUMsTUFBTSxDQUFDLFlBQVksRUFBRSxLQUFLLENBQUMsTUFBTSxDQUFDLENBQUM7SUFFaEQsMEZBQTBGO0lBQzFGLDRGQUE0RjtJQUM1RixJQUFJLElBQUksS0FBSyxNQUFNLEVBQUU7UUFDbkIsZUFBZSxDQUFDLE9BQU8sQ0FBQyxDQUFDLEtBQUssRUFBRSxDQUFDLEVBQUUsRUFBRSxDQUFDLGFBQWEsQ0FBQyxNQUFNLENBQUMsS0FBSyxFQUFFLENBQUMsRUFBRSxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO0tBQ2pGO0FBQ0gsQ0FBQyIsInNvdXJjZXNDb250ZW50IjpbIi8qKlxuICogQGxpY2Vuc2VcbiAqIENvcHlyaWdodCBHb29nbGUgTExDIEFsbCBSaWdodHMgUmVzZXJ2ZWQuXG4gKlxuICogVXNlIG9mIHRoaXMgc291cmNlIGNvZGUgaXMgZ292ZXJuZWQgYnkgYW4gTUlULXN0eWxlIGxpY2Vuc2UgdGhhdCBjYW4gYmVcbiAqIGZvdW5kIGluIHRoZSBMSUNFTlNFIGZpbGUgYXQgaHR0cHM6Ly9hbmd1bGFyLmlvL2xpY2Vuc2VcbiAqL1xuXG5pbXBvcnQge0luamVjdGFibGUsIE9uRGVzdHJveX0gZnJvbSAnQGFuZ3VsYXIvY29yZSc7XG5pbXBvcnQge1N1YmplY3R9IGZyb20gJ3J4anMnO1xuaW1wb3J0IHtDZGtEcmFnRHJvcH0gZnJvbSAnLi9kcmFnLWV2ZW50cyc7XG5pbXBvcnQge2NvcHlBcnJheUl0ZW1zLCBtb3ZlSXRlbXNJbkFycmF5LCB0cmFuc2ZlckFycmF5SXRlbXN9IGZyb20gJy4vZHJhZy11dGlscyc7XG5cbi8qKlxuICogUG9zc2libGUga2luZHMgb2YgZHJhZyZkcm9wIG9wZXJhdGlvbnMuXG4gKiAtIGBtb3ZlYCAtIHRoZSBpdGVtcyB3ZXJlIG1vdmVkIHdpdGhpbiB0aGUgc2FtZSBhcnJheS5cbiAqIC0gYHRyYW5zZmVyYCAtIHRoZSBpdGVtcyB3ZXJlIG1vdmVkIGZyb20gb25lIGFycmF5IHRvIGFub3RoZXIuXG4gKiAtIGBjb3B5YCAtIHRoZSBpdGVtcyB3ZXJlIGNvcGllZCBmcm9tIG9uZSBhcnJheSB0byBhbm90aGVyLlxuICovXG5leHBvcnQgdHlwZSBEcmFnRHJvcE9wZXJhdGlvblR5cGUgPSAnbW92ZScgfCAndHJhbnNmZXInIHwgJ2NvcHknO1xuXG4vKiogUmV2ZXJzaWJsZSByZWNvcmQgb2YgdGhlIG91dGNvbWUgb2YgYSBkcmFnJmRyb3AgaW50ZXJhY3Rpb24uICovXG5leHBvcnQgaW50ZXJmYWNlIERyYWdEcm9wT3BlcmF0aW9uPFQgPSBhbnk+IHtcbiAgLyoqIEtpbmQgb2Ygb3BlcmF0aW9uLiAqL1xuICB0eXBlOiBEcmFnRHJvcE9wZXJhdGlvblR5cGU7XG4gIC8qKiBJdGVtcyB0aGF0IHdlcmUgbW92ZWQgb3IgY29waWVkLiAqL1xuICBpdGVtczogVFtdO1xuICAvKiogQXJyYXkgZnJvbSB3aGljaCB0aGUgaXRlbXMgd2VyZSB0YWtlbi4gKi9cbiAgcHJldmlvdXNBcnJheTogVFtdO1xuICAvKiogQXJyYXkgaW50byB3aGljaCB0aGUgaXRlbXMgd2VyZSBwbGFjZWQuIFNhbWUgYXMgYHByZXZpb3VzQXJyYXlgIGZvciBgbW92ZWAgb3BlcmF0aW9ucy4gKi9cbiAgY3VycmVudEFycmF5OiBUW107XG4gIC8qKiBJbmRpY2VzLCBpbiBhc2NlbmRpbmcgb3JkZXIsIGF0IHdoaWNoIHRoZSBpdGVtcyB3ZXJlIGluIHRoZSBwcmV2aW91cyBhcnJheS4gKi9cbiAgcHJldmlvdXNJbmRpY2VzOiBudW1iZXJbXTtcbiAgLyoqIEluZGV4IG9mIHRoZSBmaXJzdCBvZiB0aGUgaXRlbXMgaW4gdGhlIGN1cnJlbnQgYXJyYXkuICovXG4gIGN1cnJlbnRJbmRleDogbnVtYmVyO1xufVxuXG4vKiogRXZlbnQgdGhhdCBpcyBlbWl0dGVkIHdoZW4gdGhlIGRyYWcmZHJvcCBoaXN0b3J5IGhhcyBjaGFuZ2VkLiAqL1xuZXhwb3J0IGludGVyZmFjZSBEcmFnRHJvcEhpc3RvcnlDaGFuZ2U8VCA9IGFueT4ge1xuICAvKiogQWN0aW9uIHRoYXQgY2F1c2VkIHRoZSBjaGFuZ2UuICovXG4gIGFjdGlvbjogJ2FwcGx5JyB8ICd1bmRvJyB8ICdyZWRvJztcbiAgLyoqIE9wZXJhdGlvbiB0aGF0IHdhcyBhcHBsaWVkLCB1bmRvbmUgb3IgcmVkb25lLiAqL1xuICBvcGVyYXRpb246IERyYWdEcm9wT3BlcmF0aW9uPFQ+O1xufVxuXG4vKipcbiAqIFNlcnZpY2UgdGhhdCBhcHBsaWVzIHRoZSBvdXRjb21lIG9mIGRyYWcmZHJvcCBpbnRlcmFjdGlvbnMgdG8gdGhlIGRhdGEgb2YgdGhlIGRyb3AgbGlzdHMgYW5kXG4gKiBrZWVwcyB0cmFjayBvZiB0aGVtIHNvIHRoZXkgY2FuIGJlIHVuZG9uZSBhbmQgcmVkb25lLiBUaGUgc2VydmljZSBpcyBzaGFyZWQgYWNyb3NzIHRoZSBhcHAgYnlcbiAqIGRlZmF1bHQsIGJ1dCBpdCBjYW4gYmUgcHJvdmlkZWQgb24gYSBjb21wb25lbnQgaW4gb3JkZXIgdG8ga2VlcCBhIHNlcGFyYXRlIGhpc3RvcnkgZm9yIGl0LlxuICovXG5ASW5qZWN0YWJsZSh7cHJvdmlkZWRJbjogJ3Jvb3QnfSlcbmV4cG9ydCBjbGFzcyBEcmFnRHJvcEhpc3RvcnkgaW1wbGVtZW50cyBPbkRlc3Ryb3kge1xuICAvKiogT3BlcmF0aW9ucyB0aGF0IGNhbiBiZSB1bmRvbmUsIGZyb20gb2xkZXN0IHRvIG5ld2VzdC4gKi9cbiAgcHJpdmF0ZSBfdW5kb1N0YWNrOiBEcmFnRHJvcE9wZXJhdGlvbltdID0gW107XG5cbiAgLyoqIE9wZXJhdGlvbnMgdGhhdCBjYW4gYmUgcmVkb25lLCBmcm9tIG9sZGVzdCB0byBuZXdlc3QuICovXG4gIHByaXZhdGUgX3JlZG9TdGFjazogRHJhZ0Ryb3BPcGVyYXRpb25bXSA9IFtdO1xuXG4gIC8qKiBNYXhpbXVtIG51bWJlciBvZiBvcGVyYXRpb25zIHRoYXQgYXJlIGtlcHQgaW4gdGhlIGhpc3RvcnkuICovXG4gIG1heFNpemU6IG51bWJlciA9IDEwMDtcblxuICAvKiogRW1pdHMgd2hlbiBhbiBvcGVyYXRpb24gaXMgYXBwbGllZCwgdW5kb25lIG9yIHJlZG9uZS4gKi9cbiAgcmVhZG9ubHkgY2hhbmdlcyA9IG5ldyBTdWJqZWN0PERyYWdEcm9wSGlzdG9yeUNoYW5nZT4oKTtcblxuICBuZ09uRGVzdHJveSgpIHtcbiAgICB0aGlzLmNsZWFyKCk7XG4gICAgdGhpcy5jaGFuZ2VzLmNvbXBsZXRlKCk7XG4gIH1cblxuICAvKipcbiAgICogQXBwbGllcyB0aGUgb3V0Y29tZSBvZiBhIGRyb3AgdG8gdGhlIGRhdGEgb2YgdGhlIGRyb3AgbGlzdHMgaW52b2x2ZWQgYW5kIHJlY29yZHMgaXQgaW4gdGhlXG4gICAqIGhpc3RvcnkuIEV4cGVjdHMgdGhlIGBkYXRhYCBvZiB0aGUgZHJvcCBsaXN0cyB0byBiZSB0aGUgYXJyYXlzIHRoYXQgdGhleSdyZSByZW5kZXJpbmcuXG4gICAqIEBwYXJhbSBldmVudCBFdmVudCBlbWl0dGVkIHdoZW4gdGhlIHVzZXIgZHJvcHBlZCB0aGUgaXRlbS5cbiAgICogQHBhcmFtIHR5cGUgS2luZCBvZiBvcGVyYXRpb24gdG8gcGVyZm9ybS4gRGVmYXVsdHMgdG8gYGNvcHlgIGlmIHRoZSBkcm9wIGVmZmVjdCB3YXMgYGNvcHlgLFxuICAgKiAgIHRvIGBtb3ZlYCBpZiB0aGUgaXRlbSB3YXMgZHJvcHBlZCBpbiB0aGUgc2FtZSBsaXN0IHRoYXQgaXQgd2FzIHBpY2tlZCB1cCBmcm9tIGFuZCB0b1xuICAgKiAgIGB0cmFuc2ZlcmAgb3RoZXJ3aXNlLlxuICAgKiBAcmV0dXJucyBPcGVyYXRpb24gdGhhdCB3YXMgYXBwbGllZC5cbiAgICovXG4gIGFwcGx5PFQgPSBhbnk+KGV2ZW50OiBDZGtEcmFnRHJvcDxUW10sIFRbXT4sXG4gICAgICAgICAgICAgICAgIHR5cGU/OiBEcmFnRHJvcE9wZXJhdGlvblR5cGUpOiBEcmFnRHJvcE9wZXJhdGlvbjxUPiB7XG4gICAgY29uc3QgcHJldmlvdXNBcnJheSA9IGV2ZW50LnByZXZpb3VzQ29udGFpbmVyLmRhdGE7XG4gICAgY29uc3QgY3VycmVudEFycmF5ID0gZXZlbnQuY29udGFpbmVyLmRhdGE7XG4gICAgY29uc3QgaW5kaWNlcyA9IGV2ZW50LnByZXZpb3VzSW5kaWNlcyAmJiBldmVudC5wcmV2aW91c0luZGljZXMubGVuZ3RoID9cbiAgICAgICAgZXZlbnQucHJldmlvdXNJbmRpY2VzIDogW2V2ZW50LnByZXZpb3VzSW5kZXhdO1xuXG4gICAgaWYgKCF0eXBlKSB7XG4gICAgICBpZiAoZXZlbnQuZHJvcEVmZmVjdCA9PT0gJ2NvcHknKSB7XG4gICAgICAgIHR5cGUgPSAnY29weSc7XG4gICAgICB9IGVsc2Uge1xuICAgICAgICB0eXBlID0gcHJldmlvdXNBcnJheSA9PT0gY3VycmVudEFycmF5ID8gJ21vdmUnIDogJ3RyYW5zZmVyJztcbiAgICAgIH1cbiAgICB9XG5cbiAgICBpZiAoKHR5cGVvZiBuZ0Rldk1vZGUgPT09ICd1bmRlZmluZWQnIHx8IG5nRGV2TW9kZSkgJiZcbiAgICAgICAgdHlwZSA9PT0gJ21vdmUnICYmIHByZXZpb3VzQXJyYXkgIT09IGN1cnJlbnRBcnJheSkge1xuICAgICAgdGhyb3cgRXJyb3IoJ0RyYWdEcm9wSGlzdG9yeTogY2Fubm90IHJlY29yZCBhIGBtb3ZlYCBvcGVyYXRpb24gYmV0d2VlbiBkaWZmZXJlbnQgYXJyYXlzLicpO1xuICAgIH1cblxuICAgIGNvbnN0IHByZXZpb3VzSW5kaWNlcyA9IGluZGljZXNcbiAgICAgIC5maWx0ZXIoKGluZGV4LCBwb3NpdGlvbikgPT4gaW5kZXggPiAtMSAmJiBpbmRleCA8IHByZXZpb3VzQXJyYXkubGVuZ3RoICYmXG4gICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIGluZGljZXMuaW5kZXhPZihpbmRleCkgPT09IHBvc2l0aW9uKVxuICAgICAgLnNvcnQoKGEsIGIpID0+IGEgLSBiKTtcbiAgICBjb25zdCBpdGVtcyA9IHByZXZpb3VzSW5kaWNlcy5tYXAoaW5kZXggPT4gcHJldmlvdXNBcnJheVtpbmRleF0pO1xuICAgIGNvbnN0IG1heEluZGV4ID0gdHlwZSA9PT0gJ21vdmUnID8gY3VycmVudEFycmF5Lmxlbmd0aCAtIGl0ZW1zLmxlbmd0aCA6IGN1cnJlbnRBcnJheS5sZW5ndGg7XG4gICAgY29uc3Qgb3BlcmF0aW9uOiBEcmFnRHJvcE9wZXJhdGlvbjxUPiA9IHtcbiAgICAgIHR5cGUsXG4gICAgICBpdGVtcyxcbiAgICAgIHByZXZpb3VzQXJyYXksXG4gICAgICBjdXJyZW50QXJyYXksXG4gICAgICBwcmV2aW91c0luZGljZXMsXG4gICAgICBjdXJyZW50SW5kZXg6IE1hdGgubWF4KDAsIE1hdGgubWluKG1heEluZGV4LCBldmVudC5jdXJyZW50SW5kZXgpKVxuICAgIH07XG5cbiAgICBhcHBseU9wZXJhdGlvbihvcGVyYXRpb24pO1xuICAgIHRoaXMuX3VuZG9TdGFjay5wdXNoKG9wZXJhdGlvbik7XG4gICAgdGhpcy5fcmVkb1N0YWNrID0gW107XG5cbiAgICBpZiAodGhpcy5fdW5kb1N0YWNrLmxlbmd0aCA+IHRoaXMubWF4U2l6ZSkge1xuICAgICAgdGhpcy5fdW5kb1N0YWNrLnNwbGljZSgwLCB0aGlzLl91bmRvU3RhY2subGVuZ3RoIC0gdGhpcy5tYXhTaXplKTtcbiAgICB9XG5cbiAgICB0aGlzLmNoYW5nZXMubmV4dCh7YWN0aW9uOiAnYXBwbHknLCBvcGVyYXRpb259KTtcbiAgICByZXR1cm4gb3BlcmF0aW9uO1xuICB9XG5cbiAgLyoqXG4gICAqIFJldmVydHMgdGhlIG1vc3QgcmVjZW50IG9wZXJhdGlvbi4gVGhlIGhpc3RvcnkgaXMgY2xlYXJlZCBpZiB0aGUgYXJyYXlzIGhhdmUgYmVlbiBjaGFuZ2VkXG4gICAqIHNpbmNlIHRoZSBvcGVyYXRpb24gd2FzIGFwcGxpZWQgaW4gYSB3YXkgdGhhdCBkb2Vzbid0IGFsbG93IGl0IHRvIGJlIHJldmVydGVkIHNhZmVseS5cbiAgICogQHJldHVybnMgT3BlcmF0aW9uIHRoYXQgd2FzIHVuZG9uZSwgb3IgbnVsbCBpZiB0aGVyZSB3YXMgbm90aGluZyB0byB1bmRvLlxuICAgKi9cbiAgdW5kbygpOiBEcmFnRHJvcE9wZXJhdGlvbiB8IG51bGwge1xuICAgIGNvbnN0IG9wZXJhdGlvbiA9IHRoaXMuX3VuZG9TdGFjay5wb3AoKTtcblxuICAgIGlmICghb3BlcmF0aW9uKSB7XG4gICAgICByZXR1cm4gbnVsbDtcbiAgICB9XG5cbiAgICBpZiAoIWNhblJldmVydE9wZXJhdGlvbihvcGVyYXRpb24pKSB7XG4gICAgICB0aGlzLmNsZWFyKCk7XG4gICAgICByZXR1cm4gbnVsbDtcbiAgICB9XG5cbiAgICByZXZlcnRPcGVyYXRpb24ob3BlcmF0aW9uKTtcbiAgICB0aGlzLl9yZWRvU3RhY2sucHVzaChvcGVyYXRpb24pO1xuICAgIHRoaXMuY2hhbmdlcy5uZXh0KHthY3Rpb246ICd1bmRvJywgb3BlcmF0aW9ufSk7XG4gICAgcmV0dXJuIG9wZXJhdGlvbjtcbiAgfVxuXG4gIC8qKlxuICAgKiBSZS1hcHBsaWVzIHRoZSBtb3N0IHJlY2VudGx5IHVuZG9uZSBvcGVyYXRpb24uIFRoZSBoaXN0b3J5IGlzIGNsZWFyZWQgaWYgdGhlIGFycmF5cyBoYXZlIGJlZW5cbiAgICogY2hhbmdlZCBzaW5jZSB0aGUgb3BlcmF0aW9uIHdhcyB1bmRvbmUgaW4gYSB3YXkgdGhhdCBkb2Vzbid0IGFsbG93IGl0IHRvIGJlIGFwcGxpZWQgc2FmZWx5LlxuICAgKiBAcmV0dXJucyBPcGVyYXRpb24gdGhhdCB3YXMgcmVkb25lLCBvciBudWxsIGlmIHRoZXJlIHdhcyBub3RoaW5nIHRvIHJlZG8uXG4gICAqL1xuICByZWRvKCk6IERyYWdEcm9wT3BlcmF0aW9uIHwgbnVsbCB7XG4gICAgY29uc3Qgb3BlcmF0aW9uID0gdGhpcy5fcmVkb1N0YWNrLnBvcCgpO1xuXG4gICAgaWYgKCFvcGVyYXRpb24pIHtcbiAgICAgIHJldHVybiBudWxsO1xuICAgIH1cblxuICAgIGlmICghY2FuQXBwbHlPcGVyYXRpb24ob3BlcmF0aW9uKSkge1xuICAgICAgdGhpcy5jbGVhcigpO1xuICAgICAgcmV0dXJuIG51bGw7XG4gICAgfVxuXG4gICAgYXBwbHlPcGVyYXRpb24ob3BlcmF0aW9uKTtcbiAgICB0aGlzLl91bmRvU3RhY2sucHVzaChvcGVyYXRpb24pO1xuICAgIHRoaXMuY2hhbmdlcy5uZXh0KHthY3Rpb246ICdyZWRvJywgb3BlcmF0aW9ufSk7XG4gICAgcmV0dXJuIG9wZXJhdGlvbjtcbiAgfVxuXG4gIC8qKiBXaGV0aGVyIHRoZXJlIGFyZSBhbnkgb3BlcmF0aW9ucyB0aGF0IGNhbiBiZSB1bmRvbmUuICovXG4gIGNhblVuZG8oKTogYm9vbGVhbiB7XG4gICAgcmV0dXJuIHRoaXMuX3VuZG9TdGFjay5sZW5ndGggPiAwO1xuICB9XG5cbiAgLyoqIFdoZXRoZXIgdGhlcmUgYXJlIGFueSBvcGVyYXRpb25zIHRoYXQgY2FuIGJlIHJlZG9uZS4gKi9cbiAgY2FuUmVkbygpOiBib29sZWFuIHtcbiAgICByZXR1cm4gdGhpcy5fcmVkb1N0YWNrLmxlbmd0aCA+IDA7XG4gIH1cblxuICAvKiogUmVtb3ZlcyBhbGwgb2YgdGhlIG9wZXJhdGlvbnMgZnJvbSB0aGUgaGlzdG9yeS4gKi9cbiAgY2xlYXIoKTogdm9pZCB7XG4gICAgdGhpcy5fdW5kb1N0YWNrID0gW107XG4gICAgdGhpcy5fcmVkb1N0YWNrID0gW107XG4gIH1cbn1cblxuLyoqIEFwcGxpZXMgYW4gb3BlcmF0aW9uIHRvIGl0cyBhcnJheXMuICovXG5mdW5jdGlvbiBhcHBseU9wZXJhdGlvbihvcGVyYXRpb246IERyYWdEcm9wT3BlcmF0aW9uKSB7XG4gIGNvbnN0IHt0eXBlLCBwcmV2aW91c0FycmF5LCBjdXJyZW50QXJyYXksIHByZXZpb3VzSW5kaWNlcywgY3VycmVudEluZGV4fSA9IG9wZXJhdGlvbjtcblxuICBpZiAodHlwZSA9PT0gJ21vdmUnKSB7XG4gICAgbW92ZUl0ZW1zSW5BcnJheShjdXJyZW50QXJyYXksIHByZXZpb3VzSW5kaWNlcywgY3VycmVudEluZGV4KTtcbiAgfSBlbHNlIGlmICh0eXBlID09PSAndHJhbnNmZXInKSB7XG4gICAgdHJhbnNmZXJBcnJheUl0ZW1zKHByZXZpb3VzQXJyYXksIGN1cnJlbnRBcnJheSwgcHJldmlvdXNJbmRpY2VzLCBjdXJyZW50SW5kZXgpO1xuICB9IGVsc2Uge1xuICAgIGNvcHlBcnJheUl0ZW1zKHByZXZpb3VzQXJyYXksIGN1cnJlbnRBcnJheSwgcHJldmlvdXNJbmRpY2VzLCBjdXJyZW50SW5kZXgpO1xuICB9XG59XG5cbi8qKlxuICogV2hldGhlciBhbiBvcGVyYXRpb24gY2FuIGJlIGFwcGxpZWQgdG8gaXRzIGFycmF5cywgaS5lLiBpdHMgaXRlbXMgYXJlIHN0aWxsIGF0IHRoZWlyXG4gKiBwcmV2aW91cyBpbmRpY2VzIGFuZCB0aGUgY3VycmVudCBpbmRleCBpcyBzdGlsbCB3aXRoaW4gdGhlIGN1cnJlbnQgYXJyYXkuXG4gKi9cbmZ1bmN0aW9uIGNhbkFwcGx5T3BlcmF0aW9uKG9wZXJhdGlvbjogRHJhZ0Ryb3BPcGVyYXRpb24pOiBib29sZWFuIHtcbiAgY29uc3Qge3R5cGUsIGl0ZW1zLCBwcmV2aW91c0FycmF5LCBjdXJyZW50QXJyYXksIHByZXZpb3VzSW5kaWNlcywgY3VycmVudEluZGV4fSA9IG9wZXJhdGlvbjtcbiAgY29uc3QgcmVtYWluaW5nTGVuZ3RoID1cbiAgICAgIHR5cGUgPT09ICdtb3ZlJyA/IGN1cnJlbnRBcnJheS5sZW5ndGggLSBpdGVtcy5sZW5ndGggOiBjdXJyZW50QXJyYXkubGVuZ3RoO1xuXG4gIHJldHVybiBjdXJyZW50SW5kZXggPD0gcmVtYWluaW5nTGVuZ3RoICYmXG4gICAgICAgICBwcmV2aW91c0luZGljZXMuZXZlcnkoKGluZGV4LCBpKSA9PiBwcmV2aW91c0FycmF5W2luZGV4XSA9PT0gaXRlbXNbaV0pO1xufVxuXG4vKipcbiAqIFdoZXRoZXIgYW4gb3BlcmF0aW9uIGNhbiBiZSByZXZlcnRlZCwgaS5lLiBpdHMgaXRlbXMgYXJlIHN0aWxsIG5leHQgdG8gZWFjaCBvdGhlciBzdGFydGluZ1xuICogZnJvbSB0aGUgY3VycmVudCBpbmRleCBhbmQgdGhlaXIgcHJldmlvdXMgaW5kaWNlcyBhcmUgc3RpbGwgd2l0aGluIHRoZSBwcmV2aW91cyBhcnJheS5cbiAqL1xuZnVuY3Rpb24gY2FuUmV2ZXJ0T3BlcmF0aW9uKG9wZXJhdGlvbjogRHJhZ0Ryb3BPcGVyYXRpb24pOiBib29sZWFuIHtcbiAgY29uc3Qge3R5cGUsIGl0ZW1zLCBwcmV2aW91c0FycmF5LCBjdXJyZW50QXJyYXksIHByZXZpb3VzSW5kaWNlcywgY3VycmVudEluZGV4fSA9IG9wZXJhdGlvbjtcblxuICBpZiAoY3VycmVudEluZGV4ICsgaXRlbXMubGVuZ3RoID4gY3VycmVudEFycmF5Lmxlbmd0aCB8fFxuICAgICAgIWl0ZW1zLmV2ZXJ5KChpdGVtLCBpKSA9PiBjdXJyZW50QXJyYXlbY3VycmVudEluZGV4ICsgaV0gPT09IGl0ZW0pKSB7XG4gICAgcmV0dXJuIGZhbHNlO1xuICB9XG5cbiAgLy8gQ29waWVkIGl0ZW1zIGRvbid0IGhhdmUgdG8gYmUgcmVzdG9yZWQgaW4gdGhlIHByZXZpb3VzIGFycmF5LlxuICBpZiAodHlwZSA9PT0gJ2NvcHknKSB7XG4gICAgcmV0dXJuIHRydWU7XG4gIH1cblxuICAvLyBUaGUgaXRlbXMgYXJlIGluc2VydGVkIGJhY2sgaW4gYXNjZW5kaW5nIG9yZGVyIHNvIGVhY2ggb25lIGNhbiBiZSBwbGFjZWRcbiAgLy8gYXQgbW9zdCBhdCB0aGUgZW5kIG9mIHRoZSBhcnJheSwgaW5jbHVkaW5nIHRoZSBpdGVtcyByZXN0b3JlZCBiZWZvcmUgaXQuXG4gIGNvbnN0IHJlbWFpbmluZ0xlbmd0aCA9XG4gICAgICB0eXBlID09PSAnbW92ZScgPyBwcmV2aW91c0FycmF5Lmxlbmd0aCAtIGl0ZW1zLmxlbmd0aCA6IHByZXZpb3VzQXJyYXkubGVuZ3RoO1xuICByZXR1cm4gcHJldmlvdXNJbmRpY2VzLmV2ZXJ5KChpbmRleCwgaSkgPT4gaW5kZXggPD0gcmVtYWluaW5nTGVuZ3RoICsgaSk7XG59XG5cbi8qKiBSZXZlcnRzIGFuIG9wZXJhdGlvbiB0aGF0IHdhcyBhcHBsaWVkIHRvIGl0cyBhcnJheXMuICovXG5mdW5jdGlvbiByZXZlcnRPcGVyYXRpb24ob3BlcmF0aW9uOiBEcmFnRHJvcE9wZXJhdGlvbikge1xuICBjb25zdCB7dHlwZSwgaXRlbXMsIHByZXZpb3VzQXJyYXksIGN1cnJlbnRBcnJheSwgcHJldmlvdXNJbmRpY2VzLCBjdXJyZW50SW5kZXh9ID0gb3BlcmF0aW9uO1xuXG4gIC8vIEFsbCBvcGVyYXRpb25zIHBsYWNlIHRoZSBpdGVtcyBuZXh0IHRvIGVhY2ggb3RoZXIsIHN0YXJ0aW5nIGZyb20gdGhlIGN1cnJlbnQgaW5kZXguXG4gIGN1cnJlbnRBcnJheS5zcGxpY2UoY3VycmVudEluZGV4LCBpdGVtcy5sZW5ndGgpO1xuXG4gIC8vIENvcHlpbmcgZG9lc24ndCByZW1vdmUgdGhlIGl0ZW1zIGZyb20gdGhlIHByZXZpb3VzIGFycmF5IHNvIHRoZXJlJ3Mgbm90aGluZyB0byByZXN0b3JlLlxuICAvLyBPdGhlcndpc2UgcHV0IHRoZSBpdGVtcyBiYWNrIGluIGFzY2VuZGluZyBvcmRlciBzbyB0aGUgaW5kaWNlcyBsaW5lIHVwIHdpdGggdGhlIG9yaWdpbmFsLlxuICBpZiAodHlwZSAhPT0gJ2NvcHknKSB7XG4gICAgcHJldmlvdXNJbmRpY2VzLmZvckVhY2goKGluZGV4LCBpKSA9PiBwcmV2aW91c0FycmF5LnNwbGljZShpbmRleCwgMCwgaXRlbXNbaV0pKTtcbiAgfVxufVxuIl19
\ No newline at end of file
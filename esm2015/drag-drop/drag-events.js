@@ -6,4 +6,4 @@
  * found in the LICENSE file at https://angular.io/license
  */
 export {};
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZHJhZy1ldmVudHMuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyIuLi8uLi8uLi8uLi8uLi8uLi9zcmMvY2RrL2RyYWctZHJvcC9kcmFnLWV2ZW50cy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiQUFBQTs7Ozs7O0dBTUciLCJzb3VyY2VzQ29udGVudCI6WyIvKipcbiAqIEBsaWNlbnNlXG4gKiBDb3B5cmlnaHQgR29vZ2xlIExMQyBBbGwgUmlnaHRzIFJlc2VydmVkLlxuICpcbiAqIFVzZSBvZiB0aGlzIHNvdXJjZSBjb2RlIGlzIGdvdmVybmVkIGJ5IGFuIE1JVC1zdHlsZSBsaWNlbnNlIHRoYXQgY2FuIGJlXG4gKiBmb3VuZCBpbiB0aGUgTElDRU5TRSBmaWxlIGF0IGh0dHBzOi8vYW5ndWxhci5pby9saWNlbnNlXG4gKi9cblxuaW1wb3J0IHtDZGtEcmFnfSBmcm9tICcuL2RpcmVjdGl2ZXMvZHJhZyc7XG5pbXBvcnQge0Nka0Ryb3BMaXN0fSBmcm9tICcuL2RpcmVjdGl2ZXMvZHJvcC1saXN0JztcblxuLyoqIEV2ZW50IGVtaXR0ZWQgd2hlbiB0aGUgdXNlciBzdGFydHMgZHJhZ2dpbmcgYSBkcmFnZ2FibGUuICovXG5leHBvcnQgaW50ZXJmYWNlIENka0RyYWdTdGFydDxUID0gYW55PiB7XG4gIC8qKiBEcmFnZ2FibGUgdGhhdCBlbWl0dGVkIHRoZSBldmVudC4gKi9cbiAgc291cmNlOiBDZGtEcmFnPFQ+O1xufVxuXG4vKiogRXZlbnQgZW1pdHRlZCB3aGVuIHRoZSB1c2VyIHJlbGVhc2VzIGFuIGl0ZW0sIGJlZm9yZSBhbnkgYW5pbWF0aW9ucyBoYXZlIHN0YXJ0ZWQuICovXG5leHBvcnQgaW50ZXJmYWNlIENka0RyYWdSZWxlYXNlPFQgPSBhbnk+IHtcbiAgLyoqIERyYWdnYWJsZSB0aGF0IGVtaXR0ZWQgdGhlIGV2ZW50LiAqL1xuICBzb3VyY2U6IENka0RyYWc8VD47XG59XG5cbi8qKiBFdmVudCBlbWl0dGVkIHdoZW4gdGhlIHVzZXIgc3RvcHMgZHJhZ2dpbmcgYSBkcmFnZ2FibGUuICovXG5leHBvcnQgaW50ZXJmYWNlIENka0RyYWdFbmQ8VCA9IGFueT4ge1xuICAvKiogRHJhZ2dhYmxlIHRoYXQgZW1pdHRlZCB0aGUgZXZlbnQuICovXG4gIHNvdXJjZTogQ2RrRHJhZzxUPjtcbiAgLyoqIERpc3RhbmNlIGluIHBpeGVscyB0aGF0IHRoZSB1c2VyIGhhcyBkcmFnZ2VkIHNpbmNlIHRoZSBkcmFnIHNlcXVlbmNlIHN0YXJ0ZWQuICovXG4gIGRpc3RhbmNlOiB7eDogbnVtYmVyLCB5OiBudW1iZXJ9O1xufVxuXG4vKiogRXZlbnQgZW1pdHRlZCB3aGVuIHRoZSB1c2VyIG1vdmVzIGFuIGl0ZW0gaW50byBhIG5ldyBkcm9wIGNvbnRhaW5lci4gKi9cbmV4cG9ydCBpbnRlcmZhY2UgQ2RrRHJhZ0VudGVyPFQgPSBhbnksIEkgPSBUPiB7XG4gIC8qKiBDb250YWluZXIgaW50byB3aGljaCB0aGUgdXNlciBoYXMgbW92ZWQgdGhlIGl0ZW0uICovXG4gIGNvbnRhaW5lcjogQ2RrRHJvcExpc3Q8VD47XG4gIC8qKiBJdGVtIHRoYXQgd2FzIG1vdmVkIGludG8gdGhlIGNvbnRhaW5lci4gKi9cbiAgaXRlbTogQ2RrRHJhZzxJPjtcbiAgLyoqIEluZGV4IGF0IHdoaWNoIHRoZSBpdGVtIGhhcyBlbnRlcmVkIHRoZSBjb250YWluZXIuICovXG4gIGN1cnJlbnRJbmRleDogbnVtYmVyO1xufVxuXG4vKipcbiAqIEV2ZW50IGVtaXR0ZWQgd2hlbiB0aGUgdXNlciByZW1vdmVzIGFuIGl0ZW0gZnJvbSBhXG4gKiBkcm9wIGNvbnRhaW5lciBieSBtb3ZpbmcgaXQgaW50byBhbm90aGVyIG9uZS5cbiAqL1xuZXhwb3J0IGludGVyZmFjZSBDZGtEcmFnRXhpdDxUID0gYW55LCBJID0gVD4ge1xuICAvKiogQ29udGFpbmVyIGZyb20gd2hpY2ggdGhlIHVzZXIgaGFzIGEgcmVtb3ZlZCBhbiBpdGVtLiAqL1xuICBjb250YWluZXI6IENka0Ryb3BMaXN0PFQ+O1xuICAvKiogSXRlbSB0aGF0IHdhcyByZW1vdmVkIGZyb20gdGhlIGNvbnRhaW5lci4gKi9cbiAgaXRlbTogQ2RrRHJhZzxJPjtcbn1cblxuXG4vKiogRXZlbnQgZW1pdHRlZCB3aGVuIHRoZSB1c2VyIGRyb3BzIGEgZHJhZ2dhYmxlIGl0ZW0gaW5zaWRlIGEgZHJvcCBjb250YWluZXIuICovXG5leHBvcnQgaW50ZXJmYWNlIENka0RyYWdEcm9wPFQsIE8gPSBUPiB7XG4gIC8qKiBJbmRleCBvZiB0aGUgaXRlbSB3aGVuIGl0IHdhcyBwaWNrZWQgdXAuICovXG4gIHByZXZpb3VzSW5kZXg6IG51bWJlcjtcbiAgLyoqIEN1cnJlbnQgaW5kZXggb2YgdGhlIGl0ZW0uICovXG4gIGN1cnJlbnRJbmRleDogbnVtYmVyO1xuICAvKiogSXRlbSB0aGF0IGlzIGJlaW5nIGRyb3BwZWQuICovXG4gIGl0ZW06IENka0RyYWc7XG4gIC8qKiBDb250YWluZXIgaW4gd2hpY2ggdGhlIGl0ZW0gd2FzIGRyb3BwZWQuICovXG4gIGNvbnRhaW5lcjogQ2RrRHJvcExpc3Q8VD47XG4gIC8qKiBDb250YWluZXIgZnJvbSB3aGljaCB0aGUgaXRlbSB3YXMgcGlja2VkIHVwLiBDYW4gYmUgdGhlIHNhbWUgYXMgdGhlIGBjb250YWluZXJgLiAqL1xuICBwcmV2aW91c0NvbnRhaW5lcjogQ2RrRHJvcExpc3Q8Tz47XG4gIC8qKiBXaGV0aGVyIHRoZSB1c2VyJ3MgcG9pbnRlciB3YXMgb3ZlciB0aGUgY29udGFpbmVyIHdoZW4gdGhlIGl0ZW0gd2FzIGRyb3BwZWQuICovXG4gIGlzUG9pbnRlck92ZXJDb250YWluZXI6IGJvb2xlYW47XG4gIC8qKiBEaXN0YW5jZSBpbiBwaXhlbHMgdGhhdCB0aGUgdXNlciBoYXMgZHJhZ2dlZCBzaW5jZSB0aGUgZHJhZyBzZXF1ZW5jZSBzdGFydGVkLiAqL1xuICBkaXN0YW5jZToge3g6IG51bWJlciwgeTogbnVtYmVyfTtcbn1cblxuLyoqIEV2ZW50IGVtaXR0ZWQgYXMgdGhlIHVzZXIgaXMgZHJhZ2dpbmcgYSBkcmFnZ2FibGUgaXRlbS4gKi9cbmV4cG9ydCBpbnRlcmZhY2UgQ2RrRHJhZ01vdmU8VCA9IGFueT4ge1xuICAvKiogSXRlbSB0aGF0IGlzIGJlaW5nIGRyYWdnZWQuICovXG4gIHNvdXJjZTogQ2RrRHJhZzxUPjtcbiAgLyoqIFBvc2l0aW9uIG9mIHRoZSB1c2VyJ3MgcG9pbnRlciBvbiB0aGUgcGFnZS4gKi9cbiAgcG9pbnRlclBvc2l0aW9uOiB7eDogbnVtYmVyLCB5OiBudW1iZXJ9O1xuICAvKiogTmF0aXZlIGV2ZW50IHRoYXQgaXMgY2F1c2luZyB0aGUgZHJhZ2dpbmcuICovXG4gIGV2ZW50OiBNb3VzZUV2ZW50IHwgVG91Y2hFdmVudDtcbiAgLyoqIERpc3RhbmNlIGluIHBpeGVscyB0aGF0IHRoZSB1c2VyIGhhcyBkcmFnZ2VkIHNpbmNlIHRoZSBkcmFnIHNlcXVlbmNlIHN0YXJ0ZWQuICovXG4gIGRpc3RhbmNlOiB7eDogbnVtYmVyLCB5OiBudW1iZXJ9O1xuICAvKipcbiAgICogSW5kaWNhdGVzIHRoZSBkaXJlY3Rpb24gaW4gd2hpY2ggdGhlIHVzZXIgaXMgZHJhZ2dpbmcgdGhlIGVsZW1lbnQgYWxvbmcgZWFjaCBheGlzLlxuICAgKiBgMWAgbWVhbnMgdGhhdCB0aGUgcG9zaXRpb24gaXMgaW5jcmVhc2luZyAoZS5nLiB0aGUgdXNlciBpcyBtb3ZpbmcgdG8gdGhlIHJpZ2h0IG9yIGRvd253YXJkcyksXG4gICAqIHdoZXJlYXMgYC0xYCBtZWFucyB0aGF0IGl0J3MgZGVjcmVhc2luZyAodGhleSdyZSBtb3ZpbmcgdG8gdGhlIGxlZnQgb3IgdXB3YXJkcykuIGAwYCBtZWFuc1xuICAgKiB0aGF0IHRoZSBwb3NpdGlvbiBoYXNuJ3QgY2hhbmdlZC5cbiAgICovXG4gIGRlbHRhOiB7eDogLTEgfCAwIHwgMSwgeTogLTEgfCAwIHwgMX07XG59XG5cbi8qKiBFdmVudCBlbWl0dGVkIHdoZW4gdGhlIHVzZXIgc3dhcHMgdGhlIHBvc2l0aW9uIG9mIHR3byBkcmFnIGl0ZW1zLiAqL1xuZXhwb3J0IGludGVyZmFjZSBDZGtEcmFnU29ydEV2ZW50PFQgPSBhbnksIEkgPSBUPiB7XG4gIC8qKiBJbmRleCBmcm9tIHdoaWNoIHRoZSBpdGVtIHdhcyBzb3J0ZWQgcHJldmlvdXNseS4gKi9cbiAgcHJldmlvdXNJbmRleDogbnVtYmVyO1xuICAvKiogSW5kZXggdGhhdCB0aGUgaXRlbSBpcyBjdXJyZW50bHkgaW4uICovXG4gIGN1cnJlbnRJbmRleDogbnVtYmVyO1xuICAvKiogQ29udGFpbmVyIHRoYXQgdGhlIGl0ZW0gYmVsb25ncyB0by4gKi9cbiAgY29udGFpbmVyOiBDZGtEcm9wTGlzdDxUPjtcbiAgLyoqIEl0ZW0gdGhhdCBpcyBiZWluZyBzb3J0ZWQuICovXG4gIGl0ZW06IENka0RyYWc8ST47XG59XG4iXX0=
\ No newline at end of file
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZHJhZy1ldmVudHMuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyIuLi8uLi8uLi8uLi8uLi8uLi9zcmMvY2RrL2RyYWctZHJvcC9kcmFnLWV2ZW50cy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiQUFBQTs7Ozs7O0dBTUciLCJzb3VyY2VzQ29udGVudCI6WyIvKipcbiAqIEBsaWNlbnNlXG4gKiBDb3B5cmlnaHQgR29vZ2xlIExMQyBBbGwgUmlnaHRzIFJlc2VydmVkLlxuICpcbiAqIFVzZSBvZiB0aGlzIHNvdXJjZSBjb2RlIGlzIGdvdmVybmVkIGJ5IGFuIE1JVC1zdHlsZSBsaWNlbnNlIHRoYXQgY2FuIGJlXG4gKiBmb3VuZCBpbiB0aGUgTElDRU5TRSBmaWxlIGF0IGh0dHBzOi8vYW5ndWxhci5pby9saWNlbnNlXG4gKi9cblxuaW1wb3J0IHtDZGtEcmFnfSBmcm9tICcuL2RpcmVjdGl2ZXMvZHJhZyc7XG5pbXBvcnQge0Nka0Ryb3BMaXN0fSBmcm9tICcuL2RpcmVjdGl2ZXMvZHJvcC1saXN0JztcbmltcG9ydCB7Q2RrRHJhZ0NhbnZhc30gZnJvbSAnLi9kaXJlY3RpdmVzL2RyYWctY2FudmFzJztcbmltcG9ydCB7Q2RrUmVzaXphYmxlfSBmcm9tICcuL2RpcmVjdGl2ZXMvcmVzaXphYmxlJztcbmltcG9ydCB7Q2RrUmVzaXplSGFuZGxlfSBmcm9tICcuL2RpcmVjdGl2ZXMvcmVzaXplLWhhbmRsZSc7XG5pbXBvcnQge0RyYWdLZXlib2FyZEFjdGlvbn0gZnJvbSAnLi9kcmFnLXJlZic7XG5pbXBvcnQge0RyYWdBbmltYXRpb25UeXBlfSBmcm9tICcuL2RyYWctYW5pbWF0aW9uJztcbmltcG9ydCB7RHJvcEVmZmVjdH0gZnJvbSAnLi9kcm9wLWVmZmVjdCc7XG5cbi8qKiBFdmVudCBlbWl0dGVkIHdoZW4gdGhlIHVzZXIgc3RhcnRzIGRyYWdnaW5nIGEgZHJhZ2dhYmxlLiAqL1xuZXhwb3J0IGludGVyZmFjZSBDZGtEcmFnU3RhcnQ8VCA9IGFueT4ge1xuICAvKiogRHJhZ2dhYmxlIHRoYXQgZW1pdHRlZCB0aGUgZXZlbnQuICovXG4gIHNvdXJjZTogQ2RrRHJhZzxUPjtcbn1cblxuLyoqIEV2ZW50IGVtaXR0ZWQgd2hlbiB0aGUgdXNlciByZWxlYXNlcyBhbiBpdGVtLCBiZWZvcmUgYW55IGFuaW1hdGlvbnMgaGF2ZSBzdGFydGVkLiAqL1xuZXhwb3J0IGludGVyZmFjZSBDZGtEcmFnUmVsZWFzZTxUID0gYW55PiB7XG4gIC8qKiBEcmFnZ2FibGUgdGhhdCBlbWl0dGVkIHRoZSBldmVudC4gKi9cbiAgc291cmNlOiBDZGtEcmFnPFQ+O1xufVxuXG4vKiogRXZlbnQgZW1pdHRlZCB3aGVuIHRoZSB1c2VyIHN0b3BzIGRyYWdnaW5nIGEgZHJhZ2dhYmxlLiAqL1xuZXhwb3J0IGludGVyZmFjZSBDZGtEcmFnRW5kPFQgPSBhbnk+IHtcbiAgLyoqIERyYWdnYWJsZSB0aGF0IGVtaXR0ZWQgdGhlIGV2ZW50LiAqL1xuICBzb3VyY2U6IENka0RyYWc8VD47XG4gIC8qKiBEaXN0YW5jZSBpbiBwaXhlbHMgdGhhdCB0aGUgdXNlciBoYXMgZHJhZ2dlZCBzaW5jZSB0aGUgZHJhZyBzZXF1ZW5jZSBzdGFydGVkLiAqL1xuICBkaXN0YW5jZToge3g6IG51bWJlciwgeTogbnVtYmVyfTtcbn1cblxuLyoqIEV2ZW50IGVtaXR0ZWQgd2hlbiB0aGUgdXNlciBtb3ZlcyBhbiBpdGVtIGludG8gYSBuZXcgZHJvcCBjb250YWluZXIuICovXG5leHBvcnQgaW50ZXJmYWNlIENka0RyYWdFbnRlcjxUID0gYW55LCBJID0gVD4ge1xuICAvKiogQ29udGFpbmVyIGludG8gd2hpY2ggdGhlIHVzZXIgaGFzIG1vdmVkIHRoZSBpdGVtLiAqL1xuICBjb250YWluZXI6IENka0Ryb3BMaXN0PFQ+O1xuICAvKiogSXRlbSB0aGF0IHdhcyBtb3ZlZCBpbnRvIHRoZSBjb250YWluZXIuICovXG4gIGl0ZW06IENka0RyYWc8ST47XG4gIC8qKiBJbmRleCBhdCB3aGljaCB0aGUgaXRlbSBoYXMgZW50ZXJlZCB0aGUgY29udGFpbmVyLiAqL1xuICBjdXJyZW50SW5kZXg6IG51bWJlcjtcbn1cblxuLyoqXG4gKiBFdmVudCBlbWl0dGVkIHdoZW4gdGhlIHVzZXIgcmVtb3ZlcyBhbiBpdGVtIGZyb20gYVxuICogZHJvcCBjb250YWluZXIgYnkgbW92aW5nIGl0IGludG8gYW5vdGhlciBvbmUuXG4gKi9cbmV4cG9ydCBpbnRlcmZhY2UgQ2RrRHJhZ0V4aXQ8VCA9IGFueSwgSSA9IFQ+IHtcbiAgLyoqIENvbnRhaW5lciBmcm9tIHdoaWNoIHRoZSB1c2VyIGhhcyBhIHJlbW92ZWQgYW4gaXRlbS4gKi9cbiAgY29udGFpbmVyOiBDZGtEcm9wTGlzdDxUPjtcbiAgLyoqIEl0ZW0gdGhhdCB3YXMgcmVtb3ZlZCBmcm9tIHRoZSBjb250YWluZXIuICovXG4gIGl0ZW06IENka0RyYWc8ST47XG59XG5cblxuLyoqIEV2ZW50IGVtaXR0ZWQgd2hlbiB0aGUgdXNlciBkcm9wcyBhIGRyYWdnYWJsZSBpdGVtIGluc2lkZSBhIGRyb3AgY29udGFpbmVyLiAqL1xuZXhwb3J0IGludGVyZmFjZSBDZGtEcmFnRHJvcDxULCBPID0gVD4ge1xuICAvKiogSW5kZXggb2YgdGhlIGl0ZW0gd2hlbiBpdCB3YXMgcGlja2VkIHVwLiAqL1xuICBwcmV2aW91c0luZGV4OiBudW1iZXI7XG4gIC8qKiBDdXJyZW50IGluZGV4IG9mIHRoZSBpdGVtLiAqL1xuICBjdXJyZW50SW5kZXg6IG51bWJlcjtcbiAgLyoqIEl0ZW0gdGhhdCBpcyBiZWluZyBkcm9wcGVkLiAqL1xuICBpdGVtOiBDZGtEcmFnO1xuICAvKipcbiAgICogQWxsIG9mIHRoZSBpdGVtcyB0aGF0IGFyZSBiZWluZyBkcm9wcGVkLCBzb3J0ZWQgYnkgdGhlaXIgaW5kZXggaW4gdGhlIHByZXZpb3VzIGNvbnRhaW5lci5cbiAgICogQ29udGFpbnMgbW9yZSB0aGFuIG9uZSBpdGVtIGlmIG11bHRpcGxlIHNlbGVjdGVkIGl0ZW1zIHdlcmUgZHJhZ2dlZCB0b2dldGhlci5cbiAgICovXG4gIGl0ZW1zPzogQ2RrRHJhZ1tdO1xuICAvKiogSW5kaWNlcywgaW4gYXNjZW5kaW5nIG9yZGVyLCBvZiBhbGwgb2YgdGhlIGl0ZW1zIHRoYXQgYXJlIGJlaW5nIGRyb3BwZWQgd2hlbiBwaWNrZWQgdXAuICovXG4gIHByZXZpb3VzSW5kaWNlcz86IG51bWJlcltdO1xuICAvKiogQ29udGFpbmVyIGluIHdoaWNoIHRoZSBpdGVtIHdhcyBkcm9wcGVkLiAqL1xuICBjb250YWluZXI6IENka0Ryb3BMaXN0PFQ+O1xuICAvKiogQ29udGFpbmVyIGZyb20gd2hpY2ggdGhlIGl0ZW0gd2FzIHBpY2tlZCB1cC4gQ2FuIGJlIHRoZSBzYW1lIGFzIHRoZSBgY29udGFpbmVyYC4gKi9cbiAgcHJldmlvdXNDb250YWluZXI6IENka0Ryb3BMaXN0PE8+O1xuICAvKiogV2hldGhlciB0aGUgdXNlcidzIHBvaW50ZXIgd2FzIG92ZXIgdGhlIGNvbnRhaW5lciB3aGVuIHRoZSBpdGVtIHdhcyBkcm9wcGVkLiAqL1xuICBpc1BvaW50ZXJPdmVyQ29udGFpbmVyOiBib29sZWFuO1xuICAvKiogRGlzdGFuY2UgaW4gcGl4ZWxzIHRoYXQgdGhlIHVzZXIgaGFzIGRyYWdnZWQgc2luY2UgdGhlIGRyYWcgc2VxdWVuY2Ugc3RhcnRlZC4gKi9cbiAgZGlzdGFuY2U6IHt4OiBudW1iZXIsIHk6IG51bWJlcn07XG4gIC8qKlxuICAgKiBFZmZlY3Qgb2YgdGhlIGRyb3AsIGJhc2VkIG9uIHRoZSBgYWNjZXB0UnVsZXNgIG9mIHRoZSBjb250YWluZXIuIEFsd2F5cyBgbW92ZWBcbiAgICogaWYgdGhlIGl0ZW0gd2FzIGRyb3BwZWQgaW50byB0aGUgc2FtZSBjb250YWluZXIgdGhhdCBpdCB3YXMgcGlja2VkIHVwIGZyb20uXG4gICAqL1xuICBkcm9wRWZmZWN0PzogRHJvcEVmZmVjdDtcbn1cblxuLyoqIEV2ZW50IGVtaXR0ZWQgYXMgdGhlIHVzZXIgaXMgZHJhZ2dpbmcgYSBkcmFnZ2FibGUgaXRlbS4gKi9cbmV4cG9ydCBpbnRlcmZhY2UgQ2RrRHJhZ01vdmU8VCA9IGFueT4ge1xuICAvKiogSXRlbSB0aGF0IGlzIGJlaW5nIGRyYWdnZWQuICovXG4gIHNvdXJjZTogQ2RrRHJhZzxUPjtcbiAgLyoqIFBvc2l0aW9uIG9mIHRoZSB1c2VyJ3MgcG9pbnRlciBvbiB0aGUgcGFnZS4gKi9cbiAgcG9pbnRlclBvc2l0aW9uOiB7eDogbnVtYmVyLCB5OiBudW1iZXJ9O1xuICAvKiogTmF0aXZlIGV2ZW50IHRoYXQgaXMgY2F1c2luZyB0aGUgZHJhZ2dpbmcuICovXG4gIGV2ZW50OiBNb3VzZUV2ZW50IHwgVG91Y2hFdmVudDtcbiAgLyoqIERpc3RhbmNlIGluIHBpeGVscyB0aGF0IHRoZSB1c2VyIGhhcyBkcmFnZ2VkIHNpbmNlIHRoZSBkcmFnIHNlcXVlbmNlIHN0YXJ0ZWQuICovXG4gIGRpc3RhbmNlOiB7eDogbnVtYmVyLCB5OiBudW1iZXJ9O1xuICAvKipcbiAgICogSW5kaWNhdGVzIHRoZSBkaXJlY3Rpb24gaW4gd2hpY2ggdGhlIHVzZXIgaXMgZHJhZ2dpbmcgdGhlIGVsZW1lbnQgYWxvbmcgZWFjaCBheGlzLlxuICAgKiBgMWAgbWVhbnMgdGhhdCB0aGUgcG9zaXRpb24gaXMgaW5jcmVhc2luZyAoZS5nLiB0aGUgdXNlciBpcyBtb3ZpbmcgdG8gdGhlIHJpZ2h0IG9yIGRvd253YXJkcyksXG4gICAqIHdoZXJlYXMgYC0xYCBtZWFucyB0aGF0IGl0J3MgZGVjcmVhc2luZyAodGhleSdyZSBtb3ZpbmcgdG8gdGhlIGxlZnQgb3IgdXB3YXJkcykuIGAwYCBtZWFuc1xuICAgKiB0aGF0IHRoZSBwb3NpdGlvbiBoYXNuJ3QgY2hhbmdlZC5cbiAgICovXG4gIGRlbHRhOiB7eDogLTEgfCAwIHwgMSwgeTogLTEgfCAwIHwgMX07XG4gIC8qKlxuICAgKiBIb3cgZGVlcGx5IHRoZSBkcm9wIGNvbnRhaW5lciB0aGF0IHRoZSBpdGVtIGlzIGN1cnJlbnRseSBpbiBpcyBuZXN0ZWQgaW5zaWRlIHRoZSBvdGhlclxuICAgKiBjb25uZWN0ZWQgY29udGFpbmVycy4gVG9wLWxldmVsIGNvbnRhaW5lcnMgYXJlIGF0IGxldmVsIHplcm8uIFVzZWZ1bCBmb3IgaW5kZW50aW5nIHRoZVxuICAgKiBwbGFjZWhvbGRlciB3aGVuIHJlb3JkZXJpbmcgb3V0bGluZXMgb3IgdHJlZXMgYnVpbHQgb3V0IG9mIG5lc3RlZCBkcm9wIGxpc3RzLlxuICAgKi9cbiAgbGV2ZWw/OiBudW1iZXI7XG59XG5cbi8qKiBFdmVudCBlbWl0dGVkIHdoZW4gdGhlIHVzZXIgc3dhcHMgdGhlIHBvc2l0aW9uIG9mIHR3byBkcmFnIGl0ZW1zLiAqL1xuZXhwb3J0IGludGVyZmFjZSBDZGtEcmFnU29ydEV2ZW50PFQgPSBhbnksIEkgPSBUPiB7XG4gIC8qKiBJbmRleCBmcm9tIHdoaWNoIHRoZSBpdGVtIHdhcyBzb3J0ZWQgcHJldmlvdXNseS4gKi9cbiAgcHJldmlvdXNJbmRleDogbnVtYmVyO1xuICAvKiogSW5kZXggdGhhdCB0aGUgaXRlbSBpcyBjdXJyZW50bHkgaW4uICovXG4gIGN1cnJlbnRJbmRleDogbnVtYmVyO1xuICAvKiogQ29udGFpbmVyIHRoYXQgdGhlIGl0ZW0gYmVsb25ncyB0by4gKi9cbiAgY29udGFpbmVyOiBDZGtEcm9wTGlzdDxUPjtcbiAgLyoqIEl0ZW0gdGhhdCBpcyBiZWluZyBzb3J0ZWQuICovXG4gIGl0ZW06IENka0RyYWc8ST47XG59XG5cbi8qKiBFdmVudCBlbWl0dGVkIHdoZW4gdGhlIHVzZXIgcGVyZm9ybXMgYW4gYWN0aW9uIHdoaWxlIGRyYWdnaW5nIGFuIGl0ZW0gdXNpbmcgdGhlIGtleWJvYXJkLiAqL1xuZXhwb3J0IGludGVyZmFjZSBDZGtEcmFnS2V5Ym9hcmRBY3Rpb248VCA9IGFueT4ge1xuICAvKiogSXRlbSB0aGF0IGlzIGJlaW5nIGRyYWdnZWQuICovXG4gIHNvdXJjZTogQ2RrRHJhZzxUPjtcbiAgLyoqIEFjdGlvbiB0aGF0IHdhcyBwZXJmb3JtZWQuICovXG4gIGFjdGlvbjogRHJhZ0tleWJvYXJkQWN0aW9uO1xuICAvKiogQ29udGFpbmVyIHRoYXQgdGhlIGl0ZW0gaXMgY3VycmVudGx5IGluLiAqL1xuICBjb250YWluZXI6IENka0Ryb3BMaXN0O1xuICAvKiogSW5kZXggb2YgdGhlIGl0ZW0gd2l0aGluIGl0cyBjdXJyZW50IGNvbnRhaW5lci4gKi9cbiAgY3VycmVudEluZGV4OiBudW1iZXI7XG59XG5cbi8qKiBFdmVudCBlbWl0dGVkIHdoZW4gdGhlIGl0ZW1zIHRoYXQgYXJlIHNlbGVjdGVkIGluIGEgZHJvcCBjb250YWluZXIgY2hhbmdlLiAqL1xuZXhwb3J0IGludGVyZmFjZSBDZGtEcm9wTGlzdFNlbGVjdGlvbkNoYW5nZTxUID0gYW55LCBJID0gVD4ge1xuICAvKiogQ29udGFpbmVyIHdob3NlIHNlbGVjdGlvbiBoYXMgY2hhbmdlZC4gKi9cbiAgY29udGFpbmVyOiBDZGtEcm9wTGlzdDxUPjtcbiAgLyoqIEl0ZW1zIHRoYXQgYXJlIGN1cnJlbnRseSBzZWxlY3RlZCwgaW4gdGhlIG9yZGVyIGluIHdoaWNoIHRoZXkgYXBwZWFyIGluIHRoZSBjb250YWluZXIuICovXG4gIGl0ZW1zOiBDZGtEcmFnPEk+W107XG59XG5cbi8qKiBFdmVudCBlbWl0dGVkIHdoZW4gbmF0aXZlIGRhdGEsIGxpa2UgZmlsZXMgb3IgdGV4dCwgaXMgZHJhZ2dlZCBpbnRvIGEgZHJvcCBjb250YWluZXIuICovXG5leHBvcnQgaW50ZXJmYWNlIENka0Ryb3BMaXN0TmF0aXZlRW50ZXI8VCA9IGFueT4ge1xuICAvKiogQ29udGFpbmVyIGludG8gd2hpY2ggdGhlIGRhdGEgd2FzIGRyYWdnZWQuICovXG4gIGNvbnRhaW5lcjogQ2RrRHJvcExpc3Q8VD47XG4gIC8qKiBJbmRleCBhdCB3aGljaCB0aGUgZGF0YSB3b3VsZCBiZSBpbnNlcnRlZC4gKi9cbiAgY3VycmVudEluZGV4OiBudW1iZXI7XG4gIC8qKiBOYXRpdmUgZXZlbnQgdGhhdCBjYXVzZWQgdGhlIGRhdGEgdG8gZW50ZXIgdGhlIGNvbnRhaW5lci4gKi9cbiAgZXZlbnQ6IERyYWdFdmVudDtcbn1cblxuLyoqIEV2ZW50IGVtaXR0ZWQgd2hlbiBuYXRpdmUgZGF0YSBpcyBkcmFnZ2VkIG91dCBvZiBhIGRyb3AgY29udGFpbmVyIHdpdGhvdXQgYmVpbmcgZHJvcHBlZC4gKi9cbmV4cG9ydCBpbnRlcmZhY2UgQ2RrRHJvcExpc3ROYXRpdmVFeGl0PFQgPSBhbnk+IHtcbiAgLyoqIENvbnRhaW5lciBmcm9tIHdoaWNoIHRoZSBkYXRhIHdhcyBkcmFnZ2VkIG91dC4gKi9cbiAgY29udGFpbmVyOiBDZGtEcm9wTGlzdDxUPjtcbiAgLyoqIE5hdGl2ZSBldmVudCB0aGF0IGNhdXNlZCB0aGUgZGF0YSB0byBsZWF2ZSB0aGUgY29udGFpbmVyLiAqL1xuICBldmVudDogRHJhZ0V2ZW50O1xufVxuXG4vKiogRXZlbnQgZW1pdHRlZCB3aGVuIHRoZSBpbmRleCBhdCB3aGljaCBuYXRpdmUgZGF0YSB3b3VsZCBiZSBpbnNlcnRlZCBjaGFuZ2VzLiAqL1xuZXhwb3J0IGludGVyZmFjZSBDZGtEcm9wTGlzdE5hdGl2ZVNvcnRFdmVudDxUID0gYW55PiB7XG4gIC8qKiBDb250YWluZXIgb3ZlciB3aGljaCB0aGUgZGF0YSBpcyBiZWluZyBkcmFnZ2VkLiAqL1xuICBjb250YWluZXI6IENka0Ryb3BMaXN0PFQ+O1xuICAvKiogSW5kZXggYXQgd2hpY2ggdGhlIGRhdGEgd291bGQgaGF2ZSBiZWVuIGluc2VydGVkIHByZXZpb3VzbHkuICovXG4gIHByZXZpb3VzSW5kZXg6IG51bWJlcjtcbiAgLyoqIEluZGV4IGF0IHdoaWNoIHRoZSBkYXRhIHdvdWxkIGJlIGluc2VydGVkIG5vdy4gKi9cbiAgY3VycmVudEluZGV4OiBudW1iZXI7XG4gIC8qKiBOYXRpdmUgZXZlbnQgdGhhdCBjYXVzZWQgdGhlIGluZGV4IHRvIGNoYW5nZS4gKi9cbiAgZXZlbnQ6IERyYWdFdmVudDtcbn1cblxuLyoqIEV2ZW50IGVtaXR0ZWQgd2hlbiBuYXRpdmUgZGF0YSBpcyBkcm9wcGVkIGludG8gYSBkcm9wIGNvbnRhaW5lci4gKi9cbmV4cG9ydCBpbnRlcmZhY2UgQ2RrRHJvcExpc3ROYXRpdmVEcm9wPFQgPSBhbnk+IHtcbiAgLyoqIENvbnRhaW5lciBpbnRvIHdoaWNoIHRoZSBkYXRhIHdhcyBkcm9wcGVkLiAqL1xuICBjb250YWluZXI6IENka0Ryb3BMaXN0PFQ+O1xuICAvKiogSW5kZXggYXQgd2hpY2ggdGhlIGRhdGEgc2hvdWxkIGJlIGluc2VydGVkLiAqL1xuICBjdXJyZW50SW5kZXg6IG51bWJlcjtcbiAgLyoqIERhdGEgdGhhdCB3YXMgZHJvcHBlZC4gQ2FuIGJlIHVzZWQgdG8gcmVhZCB0ZXh0LCBVUkxzIG9yIGFueSBvdGhlciBmb3JtYXRzLiAqL1xuICBkYXRhVHJhbnNmZXI6IERhdGFUcmFuc2ZlcjtcbiAgLyoqIEZpbGVzIHRoYXQgd2VyZSBkcm9wcGVkLCBpZiBhbnkuICovXG4gIGZpbGVzOiBGaWxlW107XG4gIC8qKiBOYXRpdmUgYGRyb3BgIGV2ZW50LiAqL1xuICBldmVudDogRHJhZ0V2ZW50O1xufVxuXG4vKiogRXZlbnQgZW1pdHRlZCB3aGVuIHRoZSB1c2VyIHN0YXJ0cyBkcmFnZ2luZyBhbiBpdGVtIG91dCBhcyBuYXRpdmUgZGF0YS4gKi9cbmV4cG9ydCBpbnRlcmZhY2UgQ2RrRHJhZ05hdGl2ZVN0YXJ0PFQgPSBhbnk+IHtcbiAgLyoqIERyYWdnYWJsZSB0aGF0IGVtaXR0ZWQgdGhlIGV2ZW50LiAqL1xuICBzb3VyY2U6IENka0RyYWc8VD47XG4gIC8qKiBOYXRpdmUgYGRyYWdzdGFydGAgZXZlbnQuICovXG4gIGV2ZW50OiBEcmFnRXZlbnQ7XG59XG5cbi8qKiBFdmVudCBlbWl0dGVkIHdoZW4gYSBuYXRpdmUgZHJhZyBzZXF1ZW5jZSBvZiBhbiBpdGVtIGhhcyBlbmRlZC4gKi9cbmV4cG9ydCBpbnRlcmZhY2UgQ2RrRHJhZ05hdGl2ZUVuZDxUID0gYW55PiB7XG4gIC8qKiBEcmFnZ2FibGUgdGhhdCBlbWl0dGVkIHRoZSBldmVudC4gKi9cbiAgc291cmNlOiBDZGtEcmFnPFQ+O1xuICAvKipcbiAgICogRWZmZWN0IHRoYXQgd2FzIHBpY2tlZCBieSB0aGUgZHJvcCB0YXJnZXQsIGUuZy4gYGNvcHlgIG9yIGBtb3ZlYC5cbiAgICogYG5vbmVgIGlmIHRoZSBkYXRhIHdhc24ndCBkcm9wcGVkIGFueXdoZXJlLlxuICAgKi9cbiAgZHJvcEVmZmVjdDogc3RyaW5nO1xuICAvKiogTmF0aXZlIGBkcmFnZW5kYCBldmVudC4gKi9cbiAgZXZlbnQ6IERyYWdFdmVudDtcbn1cblxuLyoqIEV2ZW50IGVtaXR0ZWQgd2hlbiB0aGUgZWZmZWN0IG9mIGRyb3BwaW5nIGEgZHJhZ2dhYmxlIGF0IGl0cyBjdXJyZW50IHBvc2l0aW9uIGNoYW5nZXMuICovXG5leHBvcnQgaW50ZXJmYWNlIENka0RyYWdEcm9wRWZmZWN0Q2hhbmdlPFQgPSBhbnk+IHtcbiAgLyoqIERyYWdnYWJsZSB0aGF0IGVtaXR0ZWQgdGhlIGV2ZW50LiAqL1xuICBzb3VyY2U6IENka0RyYWc8VD47XG4gIC8qKiBDb250YWluZXIgd2hvc2UgcnVsZXMgZGV0ZXJtaW5lZCB0aGUgZWZmZWN0LiAqL1xuICBjb250YWluZXI6IENka0Ryb3BMaXN0O1xuICAvKiogTmV3IGRyb3AgZWZmZWN0LiBgbm9uZWAgaWYgdGhlIGNvbnRhaW5lciByZWZ1c2VzIHRoZSBpdGVtLiAqL1xuICBlZmZlY3Q6IERyb3BFZmZlY3Q7XG59XG5cbi8qKiBFdmVudCBlbWl0dGVkIHdoZW4gYW4gYW5pbWF0aW9uIG9mIGEgZHJhZ2dhYmxlJ3MgcHJldmlldyBvciBwbGFjZWhvbGRlciBpcyBkb25lLiAqL1xuZXhwb3J0IGludGVyZmFjZSBDZGtEcmFnQW5pbWF0aW9uRG9uZTxUID0gYW55PiB7XG4gIC8qKiBEcmFnZ2FibGUgdGhhdCBlbWl0dGVkIHRoZSBldmVudC4gKi9cbiAgc291cmNlOiBDZGtEcmFnPFQ+O1xuICAvKiogS2luZCBvZiBhbmltYXRpb24gdGhhdCBpcyBkb25lLiAqL1xuICB0eXBlOiBEcmFnQW5pbWF0aW9uVHlwZTtcbiAgLyoqIEVsZW1lbnQgdGhhdCB3YXMgYW5pbWF0ZWQuICovXG4gIGVsZW1lbnQ6IEhUTUxFbGVtZW50O1xufVxuXG4vKiogRXZlbnQgZW1pdHRlZCB3aGVuIGFuIGl0ZW0gaXMgZG9uZSBhbmltYXRpbmcgdG8gaXRzIG5ldyBwb3NpdGlvbiB3aGlsZSBzb3J0aW5nIGEgbGlzdC4gKi9cbmV4cG9ydCBpbnRlcmZhY2UgQ2RrRHJvcExpc3RBbmltYXRpb25Eb25lPFQgPSBhbnksIEkgPSBhbnk+IHtcbiAgLyoqIENvbnRhaW5lciB0aGF0IGVtaXR0ZWQgdGhlIGV2ZW50LiAqL1xuICBjb250YWluZXI6IENka0Ryb3BMaXN0PFQ+O1xuICAvKiogSXRlbSB0aGF0IGlzIGJlaW5nIGRyYWdnZWQuIE51bGwgaWYgdGhlIGFuaW1hdGlvbiB3YXMgY2F1c2VkIGJ5IG5hdGl2ZSBkYXRhLiAqL1xuICBpdGVtOiBDZGtEcmFnPEk+IHwgbnVsbDtcbiAgLyoqIEtpbmQgb2YgYW5pbWF0aW9uIHRoYXQgaXMgZG9uZS4gKi9cbiAgdHlwZTogRHJhZ0FuaW1hdGlvblR5cGU7XG4gIC8qKiBFbGVtZW50IHRoYXQgd2FzIGFuaW1hdGVkLiAqL1xuICBlbGVtZW50OiBIVE1MRWxlbWVudDtcbn1cblxuLyoqIEV2ZW50IGVtaXR0ZWQgd2hlbiB0aGUgdXNlciBkcm9wcyBhbiBpdGVtIGluc2lkZSBhIGNhbnZhcy4gKi9cbmV4cG9ydCBpbnRlcmZhY2UgQ2RrRHJhZ0NhbnZhc0Ryb3A8VCA9IGFueSwgSSA9IGFueT4ge1xuICAvKiogQ2FudmFzIGluIHdoaWNoIHRoZSBpdGVtIHdhcyBkcm9wcGVkLiAqL1xuICBjb250YWluZXI6IENka0RyYWdDYW52YXM8VD47XG4gIC8qKiBJdGVtIHRoYXQgd2FzIGRyb3BwZWQuICovXG4gIGl0ZW06IENka0RyYWc8ST47XG4gIC8qKiBQb3NpdGlvbiBvZiB0aGUgaXRlbSwgcmVsYXRpdmUgdG8gdGhlIGNhbnZhcywgYWZ0ZXIgaXQgd2FzIGRyb3BwZWQuICovXG4gIHBvc2l0aW9uOiB7eDogbnVtYmVyLCB5OiBudW1iZXJ9O1xuICAvKiogUG9zaXRpb24gb2YgdGhlIGl0ZW0sIHJlbGF0aXZlIHRvIHRoZSBjYW52YXMsIHdoZW4gdGhlIHVzZXIgc3RhcnRlZCBkcmFnZ2luZyBpdC4gKi9cbiAgcHJldmlvdXNQb3NpdGlvbjoge3g6IG51bWJlciwgeTogbnVtYmVyfTtcbn1cblxuLyoqIEV2ZW50IGVtaXR0ZWQgd2hlbiB0aGUgdXNlciBzdGFydHMgcmVzaXppbmcgYW4gZWxlbWVudC4gKi9cbmV4cG9ydCBpbnRlcmZhY2UgQ2RrUmVzaXplU3RhcnQ8VCA9IGFueT4ge1xuICAvKiogUmVzaXphYmxlIGVsZW1lbnQgdGhhdCBlbWl0dGVkIHRoZSBldmVudC4gKi9cbiAgc291cmNlOiBDZGtSZXNpemFibGU8VD47XG4gIC8qKiBIYW5kbGUgdGhyb3VnaCB3aGljaCB0aGUgdXNlciBpcyByZXNpemluZyB0aGUgZWxlbWVudC4gKi9cbiAgaGFuZGxlOiBDZGtSZXNpemVIYW5kbGU7XG59XG5cbi8qKiBFdmVudCBlbWl0dGVkIGFzIHRoZSB1c2VyIGlzIHJlc2l6aW5nIGFuIGVsZW1lbnQuICovXG5leHBvcnQgaW50ZXJmYWNlIENka1Jlc2l6ZTxUID0gYW55PiB7XG4gIC8qKiBSZXNpemFibGUgZWxlbWVudCB0aGF0IGVtaXR0ZWQgdGhlIGV2ZW50LiAqL1xuICBzb3VyY2U6IENka1Jlc2l6YWJsZTxUPjtcbiAgLyoqIEhhbmRsZSB0aHJvdWdoIHdoaWNoIHRoZSB1c2VyIGlzIHJlc2l6aW5nIHRoZSBlbGVtZW50LiAqL1xuICBoYW5kbGU6IENka1Jlc2l6ZUhhbmRsZTtcbiAgLyoqIE5ldyB3aWR0aCBvZiB0aGUgZWxlbWVudCwgaW4gcGl4ZWxzLiAqL1xuICB3aWR0aDogbnVtYmVyO1xuICAvKiogTmV3IGhlaWdodCBvZiB0aGUgZWxlbWVudCwgaW4gcGl4ZWxzLiAqL1xuICBoZWlnaHQ6IG51bWJlcjtcbn1cblxuLyoqIEV2ZW50IGVtaXR0ZWQgd2hlbiB0aGUgdXNlciBzdG9wcyByZXNpemluZyBhbiBlbGVtZW50LiAqL1xuZXhwb3J0IGludGVyZmFjZSBDZGtSZXNpemVFbmQ8VCA9IGFueT4ge1xuICAvKiogUmVzaXphYmxlIGVsZW1lbnQgdGhhdCBlbWl0dGVkIHRoZSBldmVudC4gKi9cbiAgc291cmNlOiBDZGtSZXNpemFibGU8VD47XG4gIC8qKiBIYW5kbGUgdGhyb3VnaCB3aGljaCB0aGUgdXNlciB3YXMgcmVzaXppbmcgdGhlIGVsZW1lbnQuICovXG4gIGhhbmRsZTogQ2RrUmVzaXplSGFuZGxlO1xuICAvKiogRmluYWwgd2lkdGggb2YgdGhlIGVsZW1lbnQsIGluIHBpeGVscy4gKi9cbiAgd2lkdGg6IG51bWJlcjtcbiAgLyoqIEZpbmFsIGhlaWdodCBvZiB0aGUgZWxlbWVudCwgaW4gcGl4ZWxzLiAqL1xuICBoZWlnaHQ6IG51bWJlcjtcbn1cbiJdfQ==
\ No newline at end of file
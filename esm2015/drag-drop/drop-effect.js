@@ -0,0 +1,33 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * Cursors that are shown for each of the drop effects. Has to be kept in sync with the
+ * `cdk-drag-drop` Sass mixin.
+ */
+export const DROP_EFFECT_CURSORS = {
+    move: '',
+    copy: 'copy',
+    link: 'alias',
+    none: 'no-drop',
+};
+/**
+ * Gets the effect of dropping an item with particular kinds, based on the first matching rule.
+ * @param rules Rules that should be checked.
+ * @param kinds Kinds of the item that is being dropped.
+ * @returns Effect of the first rule that matches, or `none` if no rule matches.
+ */
+export function getAcceptedDropEffect(rules, kinds) {
+    for (const rule of rules) {
+        const ruleKinds = Array.isArray(rule.kinds) ? rule.kinds : [rule.kinds];
+        if (ruleKinds.indexOf('*') > -1 || ruleKinds.some(kind => kinds.indexOf(kind) > -1)) {
+            return rule.effect || 'move';
+        }
+    }
+    return 'none';
+}
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZHJvcC1lZmZlY3QuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyIuLi8uLi8uLi8uLi8uLi8uLi9zcmMvY2RrL2RyYWctZHJvcC9kcm9wLWVmZmVjdC50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiQUFBQTs7Ozs7O0dBTUc7QUFtQkg7OztHQUdHO0FBQ0gsTUFBTSxDQUFDLE1BQU0sbUJBQW1CLEdBQWtDO0lBQ2hFLElBQUksRUFBRSxFQUFFO0lBQ1IsSUFBSSxFQUFFLE1BQU07SUFDWixJQUFJLEVBQUUsT0FBTztJQUNiLElBQUksRUFBRSxTQUFTO0NBQ2hCLENBQUM7QUFFRjs7Ozs7R0FLRztBQUNILE1BQU0sVUFBVSxxQkFBcUIsQ0FBQyxLQUEyQixFQUFFLEtBQWU7SUFDaEYsS0FBSyxNQUFNLElBQUksSUFBSSxLQUFLLEVBQUU7UUFDeEIsTUFBTSxTQUFTLEdBQUcsS0FBSyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDO1FBRXhFLElBQUksU0FBUyxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLENBQUMsSUFBSSxTQUFTLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxFQUFFO1lBQ25GLE9BQU8sSUFBSSxDQUFDLE1BQU0sSUFBSSxNQUFNLENBQUM7U0FDOUI7S0FDRjtJQUVELE9BQU8sTUFBTSxDQUFDO0FBQ2hCLENBQUMiLCJzb3VyY2VzQ29udGVudCI6WyIvKipcbiAqIEBsaWNlbnNlXG4gKiBDb3B5cmlnaHQgR29vZ2xlIExMQyBBbGwgUmlnaHRzIFJlc2VydmVkLlxuICpcbiAqIFVzZSBvZiB0aGlzIHNvdXJjZSBjb2RlIGlzIGdvdmVybmVkIGJ5IGFuIE1JVC1zdHlsZSBsaWNlbnNlIHRoYXQgY2FuIGJlXG4gKiBmb3VuZCBpbiB0aGUgTElDRU5TRSBmaWxlIGF0IGh0dHBzOi8vYW5ndWxhci5pby9saWNlbnNlXG4gKi9cblxuLyoqXG4gKiBQb3NzaWJsZSBlZmZlY3RzIG9mIGRyb3BwaW5nIGFuIGl0ZW0gaW50byBhIGRyb3AgbGlzdC5cbiAqIC0gYG1vdmVgIC0gdGhlIGl0ZW0gaXMgbW92ZWQgaW50byB0aGUgbGlzdC5cbiAqIC0gYGNvcHlgIC0gYSBjb3B5IG9mIHRoZSBpdGVtIGlzIGluc2VydGVkIGludG8gdGhlIGxpc3QuXG4gKiAtIGBsaW5rYCAtIGEgcmVmZXJlbmNlIHRvIHRoZSBpdGVtIGlzIGluc2VydGVkIGludG8gdGhlIGxpc3QuXG4gKiAtIGBub25lYCAtIHRoZSBsaXN0IHJlZnVzZXMgdGhlIGl0ZW0uXG4gKi9cbmV4cG9ydCB0eXBlIERyb3BFZmZlY3QgPSAnbW92ZScgfCAnY29weScgfCAnbGluaycgfCAnbm9uZSc7XG5cbi8qKiBSdWxlIHRoYXQgZGV0ZXJtaW5lcyB3aGV0aGVyLCBhbmQgaG93LCBhIGRyb3AgbGlzdCBhY2NlcHRzIGl0ZW1zIG9mIHBhcnRpY3VsYXIga2luZHMuICovXG5leHBvcnQgaW50ZXJmYWNlIERyb3BMaXN0QWNjZXB0UnVsZSB7XG4gIC8qKiBLaW5kcyBvZiBpdGVtcyB0byB3aGljaCB0aGUgcnVsZSBhcHBsaWVzLiBgKmAgbWF0Y2hlcyBhbGwgaXRlbXMsIGV2ZW4gb25lcyB3aXRob3V0IGEga2luZC4gKi9cbiAga2luZHM6IHN0cmluZyB8IHN0cmluZ1tdO1xuICAvKiogRWZmZWN0IG9mIGRyb3BwaW5nIGEgbWF0Y2hpbmcgaXRlbSBpbnRvIHRoZSBsaXN0LiBEZWZhdWx0cyB0byBgbW92ZWAuICovXG4gIGVmZmVjdD86IERyb3BFZmZlY3Q7XG59XG5cbi8qKlxuICogQ3Vyc29ycyB0aGF0IGFyZSBzaG93biBmb3IgZWFjaCBvZiB0aGUgZHJvcCBlZmZlY3RzLiBIYXMgdG8gYmUga2VwdCBpbiBzeW5jIHdpdGggdGhlXG4gKiBgY2RrLWRyYWctZHJvcGAgU2FzcyBtaXhpbi5cbiAqL1xuZXhwb3J0IGNvbnN0IERST1BfRUZGRUNUX0NVUlNPUlM6IHtba2V5IGluIERyb3BFZmZlY3RdOiBzdHJpbmd9ID0ge1xuICBtb3ZlOiAnJyxcbiAgY29weTogJ2NvcHknLFxuICBsaW5rOiAnYWxpYXMnLFxuICBub25lOiAnbm8tZHJvcCcsXG59O1xuXG4vKipcbiAqIEdldHMgdGhlIGVmZmVjdCBvZiBkcm9wcGluZyBhbiBpdGVtIHdpdGggcGFydGljdWxhciBraW5kcywgYmFzZWQgb24gdGhlIGZpcnN0IG1hdGNoaW5nIHJ1bGUuXG4gKiBAcGFyYW0gcnVsZXMgUnVsZXMgdGhhdCBzaG91bGQgYmUgY2hlY2tlZC5cbiAqIEBwYXJhbSBraW5kcyBLaW5kcyBvZiB0aGUgaXRlbSB0aGF0IGlzIGJlaW5nIGRyb3BwZWQuXG4gKiBAcmV0dXJucyBFZmZlY3Qgb2YgdGhlIGZpcnN0IHJ1bGUgdGhhdCBtYXRjaGVzLCBvciBgbm9uZWAgaWYgbm8gcnVsZSBtYXRjaGVzLlxuICovXG5leHBvcnQgZnVuY3Rpb24gZ2V0QWNjZXB0ZWREcm9wRWZmZWN0KHJ1bGVzOiBEcm9wTGlzdEFjY2VwdFJ1bGVbXSwga2luZHM6IHN0cmluZ1tdKTogRHJvcEVmZmVjdCB7XG4gIGZvciAoY29uc3QgcnVsZSBvZiBydWxlcykge1xuICAgIGNvbnN0IHJ1bGVLaW5kcyA9IEFycmF5LmlzQXJyYXkocnVsZS5raW5kcykgPyBydWxlLmtpbmRzIDogW3J1bGUua2luZHNdO1xuXG4gICAgaWYgKHJ1bGVLaW5kcy5pbmRleE9mKCcqJykgPiAtMSB8fCBydWxlS2luZHMuc29tZShraW5kID0+IGtpbmRzLmluZGV4T2Yoa2luZCkgPiAtMSkpIHtcbiAgICAgIHJldHVybiBydWxlLmVmZmVjdCB8fCAnbW92ZSc7XG4gICAgfVxuICB9XG5cbiAgcmV0dXJuICdub25lJztcbn1cbiJdfQ==
\ No newline at end of file
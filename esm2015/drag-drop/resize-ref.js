@@ -0,0 +1,289 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { coerceElement } from '@angular/cdk/coercion';
+import { DOWN_ARROW, hasModifierKey, LEFT_ARROW, RIGHT_ARROW, UP_ARROW, } from '@angular/cdk/keycodes';
+import { Subject, Subscription } from 'rxjs';
+import { DragRef } from './drag-ref';
+/**
+ * Reference to an element that can be resized by dragging its handles. Uses a `DragRef` for
+ * each handle in order to track the user's pointer. Handles can also be focused and moved
+ * using the arrow keys.
+ */
+export class ResizeRef {
+    constructor(element, _config, _document, _ngZone, _viewportRuler, _dragDropRegistry) {
+        this._config = _config;
+        this._document = _document;
+        this._ngZone = _ngZone;
+        this._viewportRuler = _viewportRuler;
+        this._dragDropRegistry = _dragDropRegistry;
+        /** Handles that have been registered with the ref. */
+        this._handles = [];
+        /** Handle that the user is currently dragging. */
+        this._activeHandle = null;
+        /** Element inside of which the element can't be resized beyond. */
+        this._boundaryElement = null;
+        /** Layout direction of the element. */
+        this._direction = 'ltr';
+        this._disabled = false;
+        /** Minimum width of the element, in pixels. */
+        this.minWidth = 0;
+        /** Maximum width of the element, in pixels. */
+        this.maxWidth = Infinity;
+        /** Minimum height of the element, in pixels. */
+        this.minHeight = 0;
+        /** Maximum height of the element, in pixels. */
+        this.maxHeight = Infinity;
+        /**
+         * Whether to preserve the ratio between the element's width and height,
+         * as it was when the user started resizing.
+         */
+        this.lockAspectRatio = false;
+        /** Amount of pixels by which to resize the element when the user presses an arrow key. */
+        this.keyboardStep = 10;
+        /** Emits before the user starts resizing the element. */
+        this.beforeStarted = new Subject();
+        /** Emits when the user starts resizing the element. */
+        this.started = new Subject();
+        /** Emits as the user is resizing the element. */
+        this.resized = new Subject();
+        /** Emits when the user stops resizing the element. */
+        this.ended = new Subject();
+        /** Handles keyboard events on the resize handles. */
+        this._handleKeydown = (event) => {
+            const handle = this._handles.find(current => current.element === event.currentTarget);
+            const keyCode = event.keyCode;
+            if (!handle || this._disabled || this._activeHandle || hasModifierKey(event) ||
+                (keyCode !== LEFT_ARROW && keyCode !== RIGHT_ARROW &&
+                    keyCode !== UP_ARROW && keyCode !== DOWN_ARROW)) {
+                return;
+            }
+            const direction = this._getHandleDirection(handle.position);
+            const step = this.keyboardStep;
+            const distance = {
+                x: keyCode === LEFT_ARROW ? -step : (keyCode === RIGHT_ARROW ? step : 0),
+                y: keyCode === UP_ARROW ? -step : (keyCode === DOWN_ARROW ? step : 0)
+            };
+            // Don't do anything if the key would move the handle along an axis that it doesn't resize.
+            if ((distance.x !== 0 && direction.x === 0) || (distance.y !== 0 && direction.y === 0)) {
+                return;
+            }
+            event.preventDefault();
+            this._ngZone.run(() => {
+                this.beforeStarted.next();
+                this._startResizing(handle);
+                this._resize(handle, distance);
+                this._stopResizing(handle);
+            });
+        };
+        this._element = coerceElement(element);
+    }
+    /** Whether resizing is disabled. */
+    get disabled() { return this._disabled; }
+    set disabled(value) {
+        this._disabled = value;
+        this._handles.forEach(handle => handle.dragRef.disabled = value);
+    }
+    /** Whether the user is currently resizing the element. */
+    isResizing() {
+        return !!this._activeHandle;
+    }
+    /**
+     * Registers the handles through which the user can resize the element.
+     * @param handles Handles that should be registered.
+     */
+    withHandles(handles) {
+        this._removeHandles();
+        this._handles = handles.map(handle => this._createHandle(handle));
+        return this;
+    }
+    /**
+     * Sets an element that the resizable element can't grow beyond.
+     * @param boundaryElement Element that the element should stay inside of.
+     */
+    withBoundaryElement(boundaryElement) {
+        this._boundaryElement = boundaryElement ? coerceElement(boundaryElement) : null;
+        this._handles.forEach(handle => handle.dragRef.withBoundaryElement(this._boundaryElement));
+        return this;
+    }
+    /** Sets the layout direction of the element. */
+    withDirection(direction) {
+        this._direction = direction;
+        this._handles.forEach(handle => handle.dragRef.withDirection(direction));
+        return this;
+    }
+    /** Gets the current dimensions of the element. */
+    getSize() {
+        const { width, height } = this._element.getBoundingClientRect();
+        return { width, height };
+    }
+    /**
+     * Resizes the element to specific dimensions. The dimensions are constrained
+     * by the ref's minimum and maximum sizes.
+     * @param size Dimensions to which to resize the element.
+     */
+    setSize(size) {
+        this._initialSize = this._currentSize = this.getSize();
+        this._measureSizeOffset();
+        this._applySize(this._constrainSize(size, true, true));
+        return this;
+    }
+    /** Removes the resizing functionality from the element. */
+    dispose() {
+        this._removeHandles();
+        this._boundaryElement = this._activeHandle = null;
+        this.beforeStarted.complete();
+        this.started.complete();
+        this.resized.complete();
+        this.ended.complete();
+    }
+    /** Creates the state for a handle and starts listening to its events. */
+    _createHandle(handle) {
+        const element = coerceElement(handle.element);
+        const position = handle.position;
+        const dragRef = new DragRef(element, this._config, this._document, this._ngZone, this._viewportRuler, this._dragDropRegistry);
+        const resizesX = position.indexOf('start') > -1 || position.indexOf('end') > -1;
+        const resizesY = position.indexOf('top') > -1 || position.indexOf('bottom') > -1;
+        const handleRef = {
+            element,
+            position,
+            dragRef,
+            subscription: new Subscription()
+        };
+        // The handle shouldn't move while it's being dragged, because the element's
+        // new dimensions will put it into its new place. We only need the `DragRef`
+        // in order to track the pointer and to constrain it to the boundary.
+        dragRef.constrainFreeDragPosition = () => ({ x: 0, y: 0 });
+        if (resizesX !== resizesY) {
+            dragRef.lockAxis = resizesX ? 'x' : 'y';
+        }
+        dragRef.disabled = this._disabled;
+        dragRef.withBoundaryElement(this._boundaryElement).withDirection(this._direction);
+        handleRef.subscription.add(dragRef.beforeStarted.subscribe(() => this.beforeStarted.next()));
+        handleRef.subscription.add(dragRef.started.subscribe(() => this._startResizing(handleRef)));
+        handleRef.subscription.add(dragRef.moved.subscribe(event => {
+            this._resize(handleRef, event.distance);
+        }));
+        handleRef.subscription.add(dragRef.ended.subscribe(() => this._stopResizing(handleRef)));
+        this._ngZone.runOutsideAngular(() => {
+            element.addEventListener('keydown', this._handleKeydown);
+        });
+        return handleRef;
+    }
+    /** Removes all of the registered handles. */
+    _removeHandles() {
+        this._handles.forEach(handle => {
+            handle.element.removeEventListener('keydown', this._handleKeydown);
+            handle.subscription.unsubscribe();
+            handle.dragRef.dispose();
+        });
+        this._handles = [];
+    }
+    /** Starts a resizing sequence through a specific handle. */
+    _startResizing(handle) {
+        this._activeHandle = handle;
+        this._initialSize = this._currentSize = this.getSize();
+        this._measureSizeOffset();
+        this.started.next({ source: this, handle: handle.element });
+    }
+    /**
+     * Resizes the element based on how far the user has moved a handle.
+     * @param handle Handle that is being moved.
+     * @param distance Distance that the handle has been moved since resizing started.
+     */
+    _resize(handle, distance) {
+        const { x: directionX, y: directionY } = this._getHandleDirection(handle.position);
+        const size = this._constrainSize({
+            width: this._initialSize.width + distance.x * directionX,
+            height: this._initialSize.height + distance.y * directionY
+        }, directionX !== 0, directionY !== 0);
+        if (size.width !== this._currentSize.width || size.height !== this._currentSize.height) {
+            this._applySize(size);
+            this.resized.next(Object.assign({ source: this, handle: handle.element }, size));
+        }
+    }
+    /** Stops the current resizing sequence. */
+    _stopResizing(handle) {
+        this._activeHandle = null;
+        this.ended.next(Object.assign({ source: this, handle: handle.element }, this._currentSize));
+    }
+    /**
+     * Gets the direction in which a handle changes the element's dimensions.
+     * `1` means that the dimension increases as the pointer moves to the right or down,
+     * `-1` means that it decreases and `0` means that the handle doesn't affect it.
+     */
+    _getHandleDirection(position) {
+        const isRtl = this._direction === 'rtl';
+        let x = 0;
+        let y = 0;
+        if (position.indexOf('end') > -1) {
+            x = isRtl ? -1 : 1;
+        }
+        else if (position.indexOf('start') > -1) {
+            x = isRtl ? 1 : -1;
+        }
+        if (position.indexOf('bottom') > -1) {
+            y = 1;
+        }
+        else if (position.indexOf('top') > -1) {
+            y = -1;
+        }
+        return { x, y };
+    }
+    /**
+     * Constrains a set of dimensions to the minimum and maximum sizes
+     * and to the element's aspect ratio, if it is locked.
+     * @param size Dimensions to be constrained.
+     * @param resizesX Whether the width is being changed.
+     * @param resizesY Whether the height is being changed.
+     */
+    _constrainSize(size, resizesX, resizesY) {
+        const initialSize = this._initialSize;
+        let width = resizesX ? clamp(size.width, this.minWidth, this.maxWidth) : initialSize.width;
+        let height = resizesY ? clamp(size.height, this.minHeight, this.maxHeight) : initialSize.height;
+        if (this.lockAspectRatio && initialSize.width > 0 && initialSize.height > 0) {
+            const ratio = initialSize.width / initialSize.height;
+            // Let the dimension that has changed the most determine the size.
+            if (!resizesY || (resizesX &&
+                Math.abs(width / initialSize.width - 1) >= Math.abs(height / initialSize.height - 1))) {
+                height = width / ratio;
+            }
+            else {
+                width = height * ratio;
+            }
+            width = clamp(width, Math.max(this.minWidth, this.minHeight * ratio), Math.min(this.maxWidth, this.maxHeight * ratio));
+            height = width / ratio;
+        }
+        return { width, height };
+    }
+    /** Measures how much the element's dimensions differ from its `width` and `height`. */
+    _measureSizeOffset() {
+        const styles = getComputedStyle(this._element);
+        const width = parseFloat(styles.width);
+        const height = parseFloat(styles.height);
+        this._sizeOffset = {
+            width: isNaN(width) ? 0 : this._initialSize.width - width,
+            height: isNaN(height) ? 0 : this._initialSize.height - height
+        };
+    }
+    /** Applies a set of dimensions to the element. */
+    _applySize(size) {
+        const style = this._element.style;
+        if (size.width !== this._currentSize.width) {
+            style.width = `${Math.max(0, size.width - this._sizeOffset.width)}px`;
+        }
+        if (size.height !== this._currentSize.height) {
+            style.height = `${Math.max(0, size.height - this._sizeOffset.height)}px`;
+        }
+        this._currentSize = size;
+    }
+}
+/** Clamps a value between a minimum and a maximum. */
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoicmVzaXplLXJlZi5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbIi4uLy4uLy4uLy4uLy4uLy4uL3NyYy9jZGsvZHJhZy1kcm9wL3Jlc2l6ZS1yZWYudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUE7Ozs7OztHQU1HO0FBSUgsT0FBTyxFQUFDLGFBQWEsRUFBQyxNQUFNLHVCQUF1QixDQUFDO0FBQ3BELE9BQU8sRUFDTCxVQUFVLEVBQ1YsY0FBYyxFQUNkLFVBQVUsRUFDVixXQUFXLEVBQ1gsUUFBUSxHQUNULE1BQU0sdUJBQXVCLENBQUM7QUFFL0IsT0FBTyxFQUFDLE9BQU8sRUFBRSxZQUFZLEVBQUMsTUFBTSxNQUFNLENBQUM7QUFFM0MsT0FBTyxFQUFDLE9BQU8sRUFBdUIsTUFBTSxZQUFZLENBQUM7QUFxQ3pEOzs7O0dBSUc7QUFDSCxNQUFNLE9BQU8sU0FBUztJQWtGcEIsWUFDRSxPQUE4QyxFQUN0QyxPQUFzQixFQUN0QixTQUFtQixFQUNuQixPQUFlLEVBQ2YsY0FBNkIsRUFDN0IsaUJBQXlEO1FBSnpELFlBQU8sR0FBUCxPQUFPLENBQWU7UUFDdEIsY0FBUyxHQUFULFNBQVMsQ0FBVTtRQUNuQixZQUFPLEdBQVAsT0FBTyxDQUFRO1FBQ2YsbUJBQWMsR0FBZCxjQUFjLENBQWU7UUFDN0Isc0JBQWlCLEdBQWpCLGlCQUFpQixDQUF3QztRQXBGbkUsc0RBQXNEO1FBQzlDLGFBQVEsR0FBc0IsRUFBRSxDQUFDO1FBRXpDLGtEQUFrRDtRQUMxQyxrQkFBYSxHQUEyQixJQUFJLENBQUM7UUFjckQsbUVBQW1FO1FBQzNELHFCQUFnQixHQUF1QixJQUFJLENBQUM7UUFFcEQsdUNBQXVDO1FBQy9CLGVBQVUsR0FBYyxLQUFLLENBQUM7UUFROUIsY0FBUyxHQUFHLEtBQUssQ0FBQztRQUUxQiwrQ0FBK0M7UUFDL0MsYUFBUSxHQUFXLENBQUMsQ0FBQztRQUVyQiwrQ0FBK0M7UUFDL0MsYUFBUSxHQUFXLFFBQVEsQ0FBQztRQUU1QixnREFBZ0Q7UUFDaEQsY0FBUyxHQUFXLENBQUMsQ0FBQztRQUV0QixnREFBZ0Q7UUFDaEQsY0FBUyxHQUFXLFFBQVEsQ0FBQztRQUU3Qjs7O1dBR0c7UUFDSCxvQkFBZSxHQUFZLEtBQUssQ0FBQztRQUVqQywwRkFBMEY7UUFDMUYsaUJBQVksR0FBVyxFQUFFLENBQUM7UUFLMUIseURBQXlEO1FBQ2hELGtCQUFhLEdBQUcsSUFBSSxPQUFPLEVBQVEsQ0FBQztRQUU3Qyx1REFBdUQ7UUFDOUMsWUFBTyxHQUFHLElBQUksT0FBTyxFQUE0QyxDQUFDO1FBRTNFLGlEQUFpRDtRQUN4QyxZQUFPLEdBQUcsSUFBSSxPQUFPLEVBSzFCLENBQUM7UUFFTCxzREFBc0Q7UUFDN0MsVUFBSyxHQUFHLElBQUksT0FBTyxFQUt4QixDQUFDO1FBMkpMLHFEQUFxRDtRQUM3QyxtQkFBYyxHQUFHLENBQUMsS0FBb0IsRUFBRSxFQUFFO1lBQ2hELE1BQU0sTUFBTSxHQUFHLElBQUksQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLE9BQU8sS0FBSyxLQUFLLENBQUMsYUFBYSxDQUFDLENBQUM7WUFDdEYsTUFBTSxPQUFPLEdBQUcsS0FBSyxDQUFDLE9BQU8sQ0FBQztZQUU5QixJQUFJLENBQUMsTUFBTSxJQUFJLElBQUksQ0FBQyxTQUFTLElBQUksSUFBSSxDQUFDLGFBQWEsSUFBSSxjQUFjLENBQUMsS0FBSyxDQUFDO2dCQUN4RSxDQUFDLE9BQU8sS0FBSyxVQUFVLElBQUksT0FBTyxLQUFLLFdBQVc7b0JBQ2pELE9BQU8sS0FBSyxRQUFRLElBQUksT0FBTyxLQUFLLFVBQVUsQ0FBQyxFQUFFO2dCQUNwRCxPQUFPO2FBQ1I7WUFFRCxNQUFNLFNBQVMsR0FBRyxJQUFJLENBQUMsbUJBQW1CLENBQUMsTUFBTSxDQUFDLFFBQVEsQ0FBQyxDQUFDO1lBQzVELE1BQU0sSUFBSSxHQUFHLElBQUksQ0FBQyxZQUFZLENBQUM7WUFDL0IsTUFBTSxRQUFRLEdBQUc7Z0JBQ2YsQ0FBQyxFQUFFLE9BQU8sS0FBSyxVQUFVLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLE9BQU8sS0FBSyxXQUFXLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO2dCQUN4RSxDQUFDLEVBQUUsT0FBTyxLQUFLLFFBQVEsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsT0FBTyxLQUFLLFVBQVUsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7YUFDdEUsQ0FBQztZQUVGLDJGQUEyRjtZQUMzRixJQUFJLENBQUMsUUFBUSxDQUFDLENBQUMsS0FBSyxDQUFDLElBQUksU0FBUyxDQUFDLENBQUMsS0FBSyxDQUFDLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxDQUFDLEtBQUssQ0FBQyxJQUFJLFNBQVMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDLEVBQUU7Z0JBQ3RGLE9BQU87YUFDUjtZQUVELEtBQUssQ0FBQyxjQUFjLEVBQUUsQ0FBQztZQUN2QixJQUFJLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxHQUFHLEVBQUU7Z0JBQ3BCLElBQUksQ0FBQyxhQUFhLENBQUMsSUFBSSxFQUFFLENBQUM7Z0JBQzFCLElBQUksQ0FBQyxjQUFjLENBQUMsTUFBTSxDQUFDLENBQUM7Z0JBQzVCLElBQUksQ0FBQyxPQUFPLENBQUMsTUFBTSxFQUFFLFFBQVEsQ0FBQyxDQUFDO2dCQUMvQixJQUFJLENBQUMsYUFBYSxDQUFDLE1BQU0sQ0FBQyxDQUFDO1lBQzdCLENBQUMsQ0FBQyxDQUFDO1FBQ0wsQ0FBQyxDQUFBO1FBaExDLElBQUksQ0FBQyxRQUFRLEdBQUcsYUFBYSxDQUFDLE9BQU8sQ0FBQyxDQUFDO0lBQ3pDLENBQUM7SUE5REQsb0NBQW9DO0lBQ3BDLElBQUksUUFBUSxLQUFjLE9BQU8sSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUM7SUFDbEQsSUFBSSxRQUFRLENBQUMsS0FBYztRQUN6QixJQUFJLENBQUMsU0FBUyxHQUFHLEtBQUssQ0FBQztRQUN2QixJQUFJLENBQUMsUUFBUSxDQUFDLE9BQU8sQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUMsUUFBUSxHQUFHLEtBQUssQ0FBQyxDQUFDO0lBQ25FLENBQUM7SUEyREQsMERBQTBEO0lBQzFELFVBQVU7UUFDUixPQUFPLENBQUMsQ0FBQyxJQUFJLENBQUMsYUFBYSxDQUFDO0lBQzlCLENBQUM7SUFFRDs7O09BR0c7SUFDSCxXQUFXLENBQUMsT0FBdUI7UUFDakMsSUFBSSxDQUFDLGNBQWMsRUFBRSxDQUFDO1FBQ3RCLElBQUksQ0FBQyxRQUFRLEdBQUcsT0FBTyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxhQUFhLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQztRQUNsRSxPQUFPLElBQUksQ0FBQztJQUNkLENBQUM7SUFFRDs7O09BR0c7SUFDSCxtQkFBbUIsQ0FBQyxlQUE2RDtRQUMvRSxJQUFJLENBQUMsZ0JBQWdCLEdBQUcsZUFBZSxDQUFDLENBQUMsQ0FBQyxhQUFhLENBQUMsZUFBZSxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQztRQUNoRixJQUFJLENBQUMsUUFBUSxDQUFDLE9BQU8sQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUMsbUJBQW1CLENBQUMsSUFBSSxDQUFDLGdCQUFnQixDQUFDLENBQUMsQ0FBQztRQUMzRixPQUFPLElBQUksQ0FBQztJQUNkLENBQUM7SUFFRCxnREFBZ0Q7SUFDaEQsYUFBYSxDQUFDLFNBQW9CO1FBQ2hDLElBQUksQ0FBQyxVQUFVLEdBQUcsU0FBUyxDQUFDO1FBQzVCLElBQUksQ0FBQyxRQUFRLENBQUMsT0FBTyxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLE9BQU8sQ0FBQyxhQUFhLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQztRQUN6RSxPQUFPLElBQUksQ0FBQztJQUNkLENBQUM7SUFFRCxrREFBa0Q7SUFDbEQsT0FBTztRQUNMLE1BQU0sRUFBQyxLQUFLLEVBQUUsTUFBTSxFQUFDLEdBQUcsSUFBSSxDQUFDLFFBQVEsQ0FBQyxxQkFBcUIsRUFBRSxDQUFDO1FBQzlELE9BQU8sRUFBQyxLQUFLLEVBQUUsTUFBTSxFQUFDLENBQUM7SUFDekIsQ0FBQztJQUVEOzs7O09BSUc7SUFDSCxPQUFPLENBQUMsSUFBc0I7UUFDNUIsSUFBSSxDQUFDLFlBQVksR0FBRyxJQUFJLENBQUMsWUFBWSxHQUFHLElBQUksQ0FBQyxPQUFPLEVBQUUsQ0FBQztRQUN2RCxJQUFJLENBQUMsa0JBQWtCLEVBQUUsQ0FBQztRQUMxQixJQUFJLENBQUMsVUFBVSxDQUFDLElBQUksQ0FBQyxjQUFjLENBQUMsSUFBSSxFQUFFLElBQUksRUFBRSxJQUFJLENBQUMsQ0FBQyxDQUFDO1FBQ3ZELE9BQU8sSUFBSSxDQUFDO0lBQ2QsQ0FBQztJQUVELDJEQUEyRDtJQUMzRCxPQUFPO1FBQ0wsSUFBSSxDQUFDLGNBQWMsRUFBRSxDQUFDO1FBQ3RCLElBQUksQ0FBQyxnQkFBZ0IsR0FBRyxJQUFJLENBQUMsYUFBYSxHQUFHLElBQUksQ0FBQztRQUNsRCxJQUFJLENBQUMsYUFBYSxDQUFDLFFBQVEsRUFBRSxDQUFDO1FBQzlCLElBQUksQ0FBQyxPQUFPLENBQUMsUUFBUSxFQUFFLENBQUM7UUFDeEIsSUFBSSxDQUFDLE9BQU8sQ0FBQyxRQUFRLEVBQUUsQ0FBQztRQUN4QixJQUFJLENBQUMsS0FBSyxDQUFDLFFBQVEsRUFBRSxDQUFDO0lBQ3hCLENBQUM7SUFFRCx5RUFBeUU7SUFDakUsYUFBYSxDQUFDLE1BQW9CO1FBQ3hDLE1BQU0sT0FBTyxHQUFHLGFBQWEsQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLENBQUM7UUFDOUMsTUFBTSxRQUFRLEdBQUcsTUFBTSxDQUFDLFFBQVEsQ0FBQztRQUNqQyxNQUFNLE9BQU8sR0FBRyxJQUFJLE9BQU8sQ0FBQyxPQUFPLEVBQUUsSUFBSSxDQUFDLE9BQU8sRUFBRSxJQUFJLENBQUMsU0FBUyxFQUFFLElBQUksQ0FBQyxPQUFPLEVBQzNFLElBQUksQ0FBQyxjQUFjLEVBQUUsSUFBSSxDQUFDLGlCQUFpQixDQUFDLENBQUM7UUFDakQsTUFBTSxRQUFRLEdBQUcsUUFBUSxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLENBQUMsSUFBSSxRQUFRLENBQUMsT0FBTyxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDO1FBQ2hGLE1BQU0sUUFBUSxHQUFHLFFBQVEsQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDLElBQUksUUFBUSxDQUFDLE9BQU8sQ0FBQyxRQUFRLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQztRQUNqRixNQUFNLFNBQVMsR0FBb0I7WUFDakMsT0FBTztZQUNQLFFBQVE7WUFDUixPQUFPO1lBQ1AsWUFBWSxFQUFFLElBQUksWUFBWSxFQUFFO1NBQ2pDLENBQUM7UUFFRiw0RUFBNEU7UUFDNUUsNEVBQTRFO1FBQzVFLHFFQUFxRTtRQUNyRSxPQUFPLENBQUMseUJBQXlCLEdBQUcsR0FBRyxFQUFFLENBQUMsQ0FBQyxFQUFDLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBQyxDQUFDLENBQUM7UUFFekQsSUFBSSxRQUFRLEtBQUssUUFBUSxFQUFFO1lBQ3pCLE9BQU8sQ0FBQyxRQUFRLEdBQUcsUUFBUSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQztTQUN6QztRQUVELE9BQU8sQ0FBQyxRQUFRLEdBQUcsSUFBSSxDQUFDLFNBQVMsQ0FBQztRQUNsQyxPQUFPLENBQUMsbUJBQW1CLENBQUMsSUFBSSxDQUFDLGdCQUFnQixDQUFDLENBQUMsYUFBYSxDQUFDLElBQUksQ0FBQyxVQUFVLENBQUMsQ0FBQztRQUVsRixTQUFTLENBQUMsWUFBWSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsYUFBYSxDQUFDLFNBQVMsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxJQUFJLENBQUMsYUFBYSxDQUFDLElBQUksRUFBRSxDQUFDLENBQUMsQ0FBQztRQUM3RixTQUFTLENBQUMsWUFBWSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsT0FBTyxDQUFDLFNBQVMsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxJQUFJLENBQUMsY0FBYyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUM1RixTQUFTLENBQUMsWUFBWSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLFNBQVMsQ0FBQyxLQUFLLENBQUMsRUFBRTtZQUN6RCxJQUFJLENBQUMsT0FBTyxDQUFDLFNBQVMsRUFBRSxLQUFLLENBQUMsUUFBUSxDQUFDLENBQUM7UUFDMUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUNKLFNBQVMsQ0FBQyxZQUFZLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUMsU0FBUyxDQUFDLEdBQUcsRUFBRSxDQUFDLElBQUksQ0FBQyxhQUFhLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBRXpGLElBQUksQ0FBQyxPQUFPLENBQUMsaUJBQWlCLENBQUMsR0FBRyxFQUFFO1lBQ2xDLE9BQU8sQ0FBQyxnQkFBZ0IsQ0FBQyxTQUFTLEVBQUUsSUFBSSxDQUFDLGNBQWMsQ0FBQyxDQUFDO1FBQzNELENBQUMsQ0FBQyxDQUFDO1FBRUgsT0FBTyxTQUFTLENBQUM7SUFDbkIsQ0FBQztJQUVELDZDQUE2QztJQUNyQyxjQUFjO1FBQ3BCLElBQUksQ0FBQyxRQUFRLENBQUMsT0FBTyxDQUFDLE1BQU0sQ0FBQyxFQUFFO1lBQzdCLE1BQU0sQ0FBQyxPQUFPLENBQUMsbUJBQW1CLENBQUMsU0FBUyxFQUFFLElBQUksQ0FBQyxjQUFjLENBQUMsQ0FBQztZQUNuRSxNQUFNLENBQUMsWUFBWSxDQUFDLFdBQVcsRUFBRSxDQUFDO1lBQ2xDLE1BQU0sQ0FBQyxPQUFPLENBQUMsT0FBTyxFQUFFLENBQUM7UUFDM0IsQ0FBQyxDQUFDLENBQUM7UUFDSCxJQUFJLENBQUMsUUFBUSxHQUFHLEVBQUUsQ0FBQztJQUNyQixDQUFDO0lBRUQsNERBQTREO0lBQ3BELGNBQWMsQ0FBQyxNQUF1QjtRQUM1QyxJQUFJLENBQUMsYUFBYSxHQUFHLE1BQU0sQ0FBQztRQUM1QixJQUFJLENBQUMsWUFBWSxHQUFHLElBQUksQ0FBQyxZQUFZLEdBQUcsSUFBSSxDQUFDLE9BQU8sRUFBRSxDQUFDO1FBQ3ZELElBQUksQ0FBQyxrQkFBa0IsRUFBRSxDQUFDO1FBQzFCLElBQUksQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLEVBQUMsTUFBTSxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUUsTUFBTSxDQUFDLE9BQU8sRUFBQyxDQUFDLENBQUM7SUFDNUQsQ0FBQztJQUVEOzs7O09BSUc7SUFDSyxPQUFPLENBQUMsTUFBdUIsRUFBRSxRQUFlO1FBQ3RELE1BQU0sRUFBQyxDQUFDLEVBQUUsVUFBVSxFQUFFLENBQUMsRUFBRSxVQUFVLEVBQUMsR0FBRyxJQUFJLENBQUMsbUJBQW1CLENBQUMsTUFBTSxDQUFDLFFBQVEsQ0FBQyxDQUFDO1FBQ2pGLE1BQU0sSUFBSSxHQUFHLElBQUksQ0FBQyxjQUFjLENBQUM7WUFDL0IsS0FBSyxFQUFFLElBQUksQ0FBQyxZQUFZLENBQUMsS0FBSyxHQUFHLFFBQVEsQ0FBQyxDQUFDLEdBQUcsVUFBVTtZQUN4RCxNQUFNLEVBQUUsSUFBSSxDQUFDLFlBQVksQ0FBQyxNQUFNLEdBQUcsUUFBUSxDQUFDLENBQUMsR0FBRyxVQUFVO1NBQzNELEVBQUUsVUFBVSxLQUFLLENBQUMsRUFBRSxVQUFVLEtBQUssQ0FBQyxDQUFDLENBQUM7UUFFdkMsSUFBSSxJQUFJLENBQUMsS0FBSyxLQUFLLElBQUksQ0FBQyxZQUFZLENBQUMsS0FBSyxJQUFJLElBQUksQ0FBQyxNQUFNLEtBQUssSUFBSSxDQUFDLFlBQVksQ0FBQyxNQUFNLEVBQUU7WUFDdEYsSUFBSSxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsQ0FBQztZQUN0QixJQUFJLENBQUMsT0FBTyxDQUFDLElBQUksaUJBQUUsTUFBTSxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUUsTUFBTSxDQUFDLE9BQU8sSUFBSyxJQUFJLEVBQUUsQ0FBQztTQUNwRTtJQUNILENBQUM7SUFFRCwyQ0FBMkM7SUFDbkMsYUFBYSxDQUFDLE1BQXVCO1FBQzNDLElBQUksQ0FBQyxhQUFhLEdBQUcsSUFBSSxDQUFDO1FBQzFCLElBQUksQ0FBQyxLQUFLLENBQUMsSUFBSSxpQkFBRSxNQUFNLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRSxNQUFNLENBQUMsT0FBTyxJQUFLLElBQUksQ0FBQyxZQUFZLEVBQUUsQ0FBQztJQUNoRixDQUFDO0lBa0NEOzs7O09BSUc7SUFDSyxtQkFBbUIsQ0FBQyxRQUE4QjtRQUN4RCxNQUFNLEtBQUssR0FBRyxJQUFJLENBQUMsVUFBVSxLQUFLLEtBQUssQ0FBQztRQUN4QyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUM7UUFDVixJQUFJLENBQUMsR0FBRyxDQUFDLENBQUM7UUFFVixJQUFJLFFBQVEsQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDLEVBQUU7WUFDaEMsQ0FBQyxHQUFHLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztTQUNwQjthQUFNLElBQUksUUFBUSxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLENBQUMsRUFBRTtZQUN6QyxDQUFDLEdBQUcsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO1NBQ3BCO1FBRUQsSUFBSSxRQUFRLENBQUMsT0FBTyxDQUFDLFFBQVEsQ0FBQyxHQUFHLENBQUMsQ0FBQyxFQUFFO1lBQ25DLENBQUMsR0FBRyxDQUFDLENBQUM7U0FDUDthQUFNLElBQUksUUFBUSxDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLENBQUMsRUFBRTtZQUN2QyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUM7U0FDUjtRQUVELE9BQU8sRUFBQyxDQUFDLEVBQUUsQ0FBQyxFQUFDLENBQUM7SUFDaEIsQ0FBQztJQUVEOzs7Ozs7T0FNRztJQUNLLGNBQWMsQ0FBQyxJQUFzQixFQUFFLFFBQWlCLEVBQ3pDLFFBQWlCO1FBQ3RDLE1BQU0sV0FBVyxHQUFHLElBQUksQ0FBQyxZQUFZLENBQUM7UUFDdEMsSUFBSSxLQUFLLEdBQUcsUUFBUSxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLEtBQUssRUFBRSxJQUFJLENBQUMsUUFBUSxFQUFFLElBQUksQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLENBQUMsV0FBVyxDQUFDLEtBQUssQ0FBQztRQUMzRixJQUFJLE1BQU0sR0FBRyxRQUFRLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsTUFBTSxFQUFFLElBQUksQ0FBQyxTQUFTLEVBQUUsSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxXQUFXLENBQUMsTUFBTSxDQUFDO1FBRWhHLElBQUksSUFBSSxDQUFDLGVBQWUsSUFBSSxXQUFXLENBQUMsS0FBSyxHQUFHLENBQUMsSUFBSSxXQUFXLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRTtZQUMzRSxNQUFNLEtBQUssR0FBRyxXQUFXLENBQUMsS0FBSyxHQUFHLFdBQVcsQ0FBQyxNQUFNLENBQUM7WUFFckQsa0VBQWtFO1lBQ2xFLElBQUksQ0FBQyxRQUFRLElBQUksQ0FBQyxRQUFRO2dCQUN0QixJQUFJLENBQUMsR0FBRyxDQUFDLEtBQUssR0FBRyxXQUFXLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxJQUFJLElBQUksQ0FBQyxHQUFHLENBQUMsTUFBTSxHQUFHLFdBQVcsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUMsRUFBRTtnQkFDekYsTUFBTSxHQUFHLEtBQUssR0FBRyxLQUFLLENBQUM7YUFDeEI7aUJBQU07Z0JBQ0wsS0FBSyxHQUFHLE1BQU0sR0FBRyxLQUFLLENBQUM7YUFDeEI7WUFFRCxLQUFLLEdBQUcsS0FBSyxDQUFDLEtBQUssRUFBRSxJQUFJLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxRQUFRLEVBQUUsSUFBSSxDQUFDLFNBQVMsR0FBRyxLQUFLLENBQUMsRUFDL0MsSUFBSSxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsUUFBUSxFQUFFLElBQUksQ0FBQyxTQUFTLEdBQUcsS0FBSyxDQUFDLENBQUMsQ0FBQztZQUN0RSxNQUFNLEdBQUcsS0FBSyxHQUFHLEtBQUssQ0FBQztTQUN4QjtRQUVELE9BQU8sRUFBQyxLQUFLLEVBQUUsTUFBTSxFQUFDLENBQUM7SUFDekIsQ0FBQztJQUVELHVGQUF1RjtJQUMvRSxrQkFBa0I7UUFDeEIsTUFBTSxNQUFNLEdBQUcsZ0JBQWdCLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxDQUFDO1FBQy9DLE1BQU0sS0FBSyxHQUFHLFVBQVUsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUM7UUFDdkMsTUFBTSxNQUFNLEdBQUcsVUFBVSxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsQ0FBQztRQUV6QyxJQUFJLENBQUMsV0FBVyxHQUFHO1lBQ2pCLEtBQUssRUFBRSxLQUFLLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLFlBQVksQ0FBQyxLQUFLLEdBQUcsS0FBSztZQUN6RCxNQUFNLEVBQUUsS0FBSyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxZQUFZLENBQUMsTUFBTSxHQUFHLE1BQU07U0FDOUQsQ0FBQztJQUNKLENBQUM7SUFFRCxrREFBa0Q7SUFDMUMsVUFBVSxDQUFDLElBQXNCO1FBQ3ZDLE1BQU0sS0FBSyxHQUFHLElBQUksQ0FBQyxRQUFRLENBQUMsS0FBSyxDQUFDO1FBRWxDLElBQUksSUFBSSxDQUFDLEtBQUssS0FBSyxJQUFJLENBQUMsWUFBWSxDQUFDLEtBQUssRUFBRTtZQUMxQyxLQUFLLENBQUMsS0FBSyxHQUFHLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLEVBQUUsSUFBSSxDQUFDLEtBQUssR0FBRyxJQUFJLENBQUMsV0FBVyxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUM7U0FDdkU7UUFFRCxJQUFJLElBQUksQ0FBQyxNQUFNLEtBQUssSUFBSSxDQUFDLFlBQVksQ0FBQyxNQUFNLEVBQUU7WUFDNUMsS0FBSyxDQUFDLE1BQU0sR0FBRyxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxFQUFFLElBQUksQ0FBQyxNQUFNLEdBQUcsSUFBSSxDQUFDLFdBQVcsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDO1NBQzFFO1FBRUQsSUFBSSxDQUFDLFlBQVksR0FBRyxJQUFJLENBQUM7SUFDM0IsQ0FBQztDQUNGO0FBRUQsc0RBQXNEO0FBQ3RELFNBQVMsS0FBSyxDQUFDLEtBQWEsRUFBRSxHQUFXLEVBQUUsR0FBVztJQUNwRCxPQUFPLElBQUksQ0FBQyxHQUFHLENBQUMsR0FBRyxFQUFFLElBQUksQ0FBQyxHQUFHLENBQUMsR0FBRyxFQUFFLEtBQUssQ0FBQyxDQUFDLENBQUM7QUFDN0MsQ0FBQyIsInNvdXJjZXNDb250ZW50IjpbIi8qKlxuICogQGxpY2Vuc2VcbiAqIENvcHlyaWdodCBHb29nbGUgTExDIEFsbCBSaWdodHMgUmVzZXJ2ZWQuXG4gKlxuICogVXNlIG9mIHRoaXMgc291cmNlIGNvZGUgaXMgZ292ZXJuZWQgYnkgYW4gTUlULXN0eWxlIGxpY2Vuc2UgdGhhdCBjYW4gYmVcbiAqIGZvdW5kIGluIHRoZSBMSUNFTlNFIGZpbGUgYXQgaHR0cHM6Ly9hbmd1bGFyLmlvL2xpY2Vuc2VcbiAqL1xuXG5pbXBvcnQge0VsZW1lbnRSZWYsIE5nWm9uZX0gZnJvbSAnQGFuZ3VsYXIvY29yZSc7XG5pbXBvcnQge0RpcmVjdGlvbn0gZnJvbSAnQGFuZ3VsYXIvY2RrL2JpZGknO1xuaW1wb3J0IHtjb2VyY2VFbGVtZW50fSBmcm9tICdAYW5ndWxhci9jZGsvY29lcmNpb24nO1xuaW1wb3J0IHtcbiAgRE9XTl9BUlJPVyxcbiAgaGFzTW9kaWZpZXJLZXksXG4gIExFRlRfQVJST1csXG4gIFJJR0hUX0FSUk9XLFxuICBVUF9BUlJPVyxcbn0gZnJvbSAnQGFuZ3VsYXIvY2RrL2tleWNvZGVzJztcbmltcG9ydCB7Vmlld3BvcnRSdWxlcn0gZnJvbSAnQGFuZ3VsYXIvY2RrL3Njcm9sbGluZyc7XG5pbXBvcnQge1N1YmplY3QsIFN1YnNjcmlwdGlvbn0gZnJvbSAncnhqcyc7XG5pbXBvcnQge0RyYWdEcm9wUmVnaXN0cnl9IGZyb20gJy4vZHJhZy1kcm9wLXJlZ2lzdHJ5JztcbmltcG9ydCB7RHJhZ1JlZiwgRHJhZ1JlZkNvbmZpZywgUG9pbnR9IGZyb20gJy4vZHJhZy1yZWYnO1xuaW1wb3J0IHtEcm9wTGlzdFJlZn0gZnJvbSAnLi9kcm9wLWxpc3QtcmVmJztcblxuLyoqXG4gKiBQb3NpdGlvbiBvZiBhIHJlc2l6ZSBoYW5kbGUsIHJlbGF0aXZlIHRvIHRoZSBlbGVtZW50IHRoYXQgaXQgcmVzaXplcy4gSGFuZGxlcyBvbiB0aGVcbiAqIGBzdGFydGAgYW5kIGBlbmRgIHJlc2l6ZSBob3Jpem9udGFsbHksIHdoZXJlYXMgdGhlIGB0b3BgIGFuZCBgYm90dG9tYCBvbmVzIHJlc2l6ZVxuICogdmVydGljYWxseS4gQ29ybmVyIGhhbmRsZXMgcmVzaXplIGFsb25nIGJvdGggYXhlcy5cbiAqL1xuZXhwb3J0IHR5cGUgUmVzaXplSGFuZGxlUG9zaXRpb24gPSAndG9wJyB8ICdib3R0b20nIHwgJ3N0YXJ0JyB8ICdlbmQnIHxcbiAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgJ3RvcC1zdGFydCcgfCAndG9wLWVuZCcgfCAnYm90dG9tLXN0YXJ0JyB8ICdib3R0b20tZW5kJztcblxuLyoqIERpbWVuc2lvbnMgb2YgYW4gZWxlbWVudCB0aGF0IGlzIGJlaW5nIHJlc2l6ZWQuICovXG5leHBvcnQgaW50ZXJmYWNlIFJlc2l6ZURpbWVuc2lvbnMge1xuICB3aWR0aDogbnVtYmVyO1xuICBoZWlnaHQ6IG51bWJlcjtcbn1cblxuLyoqIEhhbmRsZSB0aHJvdWdoIHdoaWNoIGFuIGVsZW1lbnQgY2FuIGJlIHJlc2l6ZWQuICovXG5leHBvcnQgaW50ZXJmYWNlIFJlc2l6ZUhhbmRsZSB7XG4gIC8qKiBFbGVtZW50IHRoYXQgdGhlIHVzZXIgaW50ZXJhY3RzIHdpdGguICovXG4gIGVsZW1lbnQ6IEVsZW1lbnRSZWY8SFRNTEVsZW1lbnQ+IHwgSFRNTEVsZW1lbnQ7XG4gIC8qKiBQb3NpdGlvbiBvZiB0aGUgaGFuZGxlLCByZWxhdGl2ZSB0byB0aGUgZWxlbWVudCB0aGF0IGlzIGJlaW5nIHJlc2l6ZWQuICovXG4gIHBvc2l0aW9uOiBSZXNpemVIYW5kbGVQb3NpdGlvbjtcbn1cblxuLyoqIFN0YXRlIG9mIGEgaGFuZGxlIHRoYXQgaGFzIGJlZW4gcmVnaXN0ZXJlZCB3aXRoIHRoZSBgUmVzaXplUmVmYC4gKi9cbmludGVyZmFjZSBSZXNpemVIYW5kbGVSZWYge1xuICAvKiogRWxlbWVudCB0aGF0IHRoZSB1c2VyIGludGVyYWN0cyB3aXRoLiAqL1xuICBlbGVtZW50OiBIVE1MRWxlbWVudDtcbiAgLyoqIFBvc2l0aW9uIG9mIHRoZSBoYW5kbGUsIHJlbGF0aXZlIHRvIHRoZSBlbGVtZW50IHRoYXQgaXMgYmVpbmcgcmVzaXplZC4gKi9cbiAgcG9zaXRpb246IFJlc2l6ZUhhbmRsZVBvc2l0aW9uO1xuICAvKiogUmVmZXJlbmNlIHVzZWQgdG8gdHJhY2sgdGhlIHVzZXIncyBwb2ludGVyIHdoaWxlIHRoZXkncmUgZHJhZ2dpbmcgdGhlIGhhbmRsZS4gKi9cbiAgZHJhZ1JlZjogRHJhZ1JlZjtcbiAgLyoqIFN1YnNjcmlwdGlvbnMgdG8gdGhlIGV2ZW50cyBvZiB0aGUgYGRyYWdSZWZgLiAqL1xuICBzdWJzY3JpcHRpb246IFN1YnNjcmlwdGlvbjtcbn1cblxuLyoqXG4gKiBSZWZlcmVuY2UgdG8gYW4gZWxlbWVudCB0aGF0IGNhbiBiZSByZXNpemVkIGJ5IGRyYWdnaW5nIGl0cyBoYW5kbGVzLiBVc2VzIGEgYERyYWdSZWZgIGZvclxuICogZWFjaCBoYW5kbGUgaW4gb3JkZXIgdG8gdHJhY2sgdGhlIHVzZXIncyBwb2ludGVyLiBIYW5kbGVzIGNhbiBhbHNvIGJlIGZvY3VzZWQgYW5kIG1vdmVkXG4gKiB1c2luZyB0aGUgYXJyb3cga2V5cy5cbiAqL1xuZXhwb3J0IGNsYXNzIFJlc2l6ZVJlZjxUID0gYW55PiB7XG4gIC8qKiBFbGVtZW50IHRoYXQgaXMgYmVpbmcgcmVzaXplZC4gKi9cbiAgcHJpdmF0ZSBfZWxlbWVudDogSFRNTEVsZW1lbnQ7XG5cbiAgLyoqIEhhbmRsZXMgdGhhdCBoYXZlIGJlZW4gcmVnaXN0ZXJlZCB3aXRoIHRoZSByZWYuICovXG4gIHByaXZhdGUgX2hhbmRsZXM6IFJlc2l6ZUhhbmRsZVJlZltdID0gW107XG5cbiAgLyoqIEhhbmRsZSB0aGF0IHRoZSB1c2VyIGlzIGN1cnJlbnRseSBkcmFnZ2luZy4gKi9cbiAgcHJpdmF0ZSBfYWN0aXZlSGFuZGxlOiBSZXNpemVIYW5kbGVSZWYgfCBudWxsID0gbnVsbDtcblxuICAvKiogRGltZW5zaW9ucyBvZiB0aGUgZWxlbWVudCB3aGVuIHRoZSB1c2VyIHN0YXJ0ZWQgcmVzaXppbmcgaXQuICovXG4gIHByaXZhdGUgX2luaXRpYWxTaXplOiBSZXNpemVEaW1lbnNpb25zO1xuXG4gIC8qKiBMYXN0IGRpbWVuc2lvbnMgdGhhdCB3ZXJlIGFwcGxpZWQgdG8gdGhlIGVsZW1lbnQuICovXG4gIHByaXZhdGUgX2N1cnJlbnRTaXplOiBSZXNpemVEaW1lbnNpb25zO1xuXG4gIC8qKlxuICAgKiBEaWZmZXJlbmNlIGJldHdlZW4gdGhlIG1lYXN1cmVkIGRpbWVuc2lvbnMgb2YgdGhlIGVsZW1lbnQgYW5kIGl0cyBgd2lkdGhgIGFuZCBgaGVpZ2h0YC5cbiAgICogVXNlZCB0byBhY2NvdW50IGZvciBwYWRkaW5nIGFuZCBib3JkZXJzIHdoZW4gdGhlIGVsZW1lbnQgZG9lc24ndCB1c2UgYGJvcmRlci1ib3hgIHNpemluZy5cbiAgICovXG4gIHByaXZhdGUgX3NpemVPZmZzZXQ6IFJlc2l6ZURpbWVuc2lvbnM7XG5cbiAgLyoqIEVsZW1lbnQgaW5zaWRlIG9mIHdoaWNoIHRoZSBlbGVtZW50IGNhbid0IGJlIHJlc2l6ZWQgYmV5b25kLiAqL1xuICBwcml2YXRlIF9ib3VuZGFyeUVsZW1lbnQ6IEhUTUxFbGVtZW50IHwgbnVsbCA9IG51bGw7XG5cbiAgLyoqIExheW91dCBkaXJlY3Rpb24gb2YgdGhlIGVsZW1lbnQuICovXG4gIHByaXZhdGUgX2RpcmVjdGlvbjogRGlyZWN0aW9uID0gJ2x0cic7XG5cbiAgLyoqIFdoZXRoZXIgcmVzaXppbmcgaXMgZGlzYWJsZWQuICovXG4gIGdldCBkaXNhYmxlZCgpOiBib29sZWFuIHsgcmV0dXJuIHRoaXMuX2Rpc2FibGVkOyB9XG4gIHNldCBkaXNhYmxlZCh2YWx1ZTogYm9vbGVhbikge1xuICAgIHRoaXMuX2Rpc2FibGVkID0gdmFsdWU7XG4gICAgdGhpcy5faGFuZGxlcy5mb3JFYWNoKGhhbmRsZSA9PiBoYW5kbGUuZHJhZ1JlZi5kaXNhYmxlZCA9IHZhbHVlKTtcbiAgfVxuICBwcml2YXRlIF9kaXNhYmxlZCA9IGZhbHNlO1xuXG4gIC8qKiBNaW5pbXVtIHdpZHRoIG9mIHRoZSBlbGVtZW50LCBpbiBwaXhlbHMuICovXG4gIG1pbldpZHRoOiBudW1iZXIgPSAwO1xuXG4gIC8qKiBNYXhpbXVtIHdpZHRoIG9mIHRoZSBlbGVtZW50LCBpbiBwaXhlbHMuICovXG4gIG1heFdpZHRoOiBudW1iZXIgPSBJbmZpbml0eTtcblxuICAvKiogTWluaW11bSBoZWlnaHQgb2YgdGhlIGVsZW1lbnQsIGluIHBpeGVscy4gKi9cbiAgbWluSGVpZ2h0OiBudW1iZXIgPSAwO1xuXG4gIC8qKiBNYXhpbXVtIGhlaWdodCBvZiB0aGUgZWxlbWVudCwgaW4gcGl4ZWxzLiAqL1xuICBtYXhIZWlnaHQ6IG51bWJlciA9IEluZmluaXR5O1xuXG4gIC8qKlxuICAgKiBXaGV0aGVyIHRvIHByZXNlcnZlIHRoZSByYXRpbyBiZXR3ZWVuIHRoZSBlbGVtZW50J3Mgd2lkdGggYW5kIGhlaWdodCxcbiAgICogYXMgaXQgd2FzIHdoZW4gdGhlIHVzZXIgc3RhcnRlZCByZXNpemluZy5cbiAgICovXG4gIGxvY2tBc3BlY3RSYXRpbzogYm9vbGVhbiA9IGZhbHNlO1xuXG4gIC8qKiBBbW91bnQgb2YgcGl4ZWxzIGJ5IHdoaWNoIHRvIHJlc2l6ZSB0aGUgZWxlbWVudCB3aGVuIHRoZSB1c2VyIHByZXNzZXMgYW4gYXJyb3cga2V5LiAqL1xuICBrZXlib2FyZFN0ZXA6IG51bWJlciA9IDEwO1xuXG4gIC8qKiBBcmJpdHJhcnkgZGF0YSB0aGF0IGNhbiBiZSBhdHRhY2hlZCB0byB0aGUgcmVmLiAqL1xuICBkYXRhOiBUO1xuXG4gIC8qKiBFbWl0cyBiZWZvcmUgdGhlIHVzZXIgc3RhcnRzIHJlc2l6aW5nIHRoZSBlbGVtZW50LiAqL1xuICByZWFkb25seSBiZWZvcmVTdGFydGVkID0gbmV3IFN1YmplY3Q8dm9pZD4oKTtcblxuICAvKiogRW1pdHMgd2hlbiB0aGUgdXNlciBzdGFydHMgcmVzaXppbmcgdGhlIGVsZW1lbnQuICovXG4gIHJlYWRvbmx5IHN0YXJ0ZWQgPSBuZXcgU3ViamVjdDx7c291cmNlOiBSZXNpemVSZWYsIGhhbmRsZTogSFRNTEVsZW1lbnR9PigpO1xuXG4gIC8qKiBFbWl0cyBhcyB0aGUgdXNlciBpcyByZXNpemluZyB0aGUgZWxlbWVudC4gKi9cbiAgcmVhZG9ubHkgcmVzaXplZCA9IG5ldyBTdWJqZWN0PHtcbiAgICBzb3VyY2U6IFJlc2l6ZVJlZixcbiAgICBoYW5kbGU6IEhUTUxFbGVtZW50LFxuICAgIHdpZHRoOiBudW1iZXIsXG4gICAgaGVpZ2h0OiBudW1iZXJcbiAgfT4oKTtcblxuICAvKiogRW1pdHMgd2hlbiB0aGUgdXNlciBzdG9wcyByZXNpemluZyB0aGUgZWxlbWVudC4gKi9cbiAgcmVhZG9ubHkgZW5kZWQgPSBuZXcgU3ViamVjdDx7XG4gICAgc291cmNlOiBSZXNpemVSZWYsXG4gICAgaGFuZGxlOiBIVE1MRWxlbWVudCxcbiAgICB3aWR0aDogbnVtYmVyLFxuICAgIGhlaWdodDogbnVtYmVyXG4gIH0+KCk7XG5cbiAgY29uc3RydWN0b3IoXG4gICAgZWxlbWVudDogRWxlbWVudFJlZjxIVE1MRWxlbWVudD4gfCBIVE1MRWxlbWVudCxcbiAgICBwcml2YXRlIF9jb25maWc6IERyYWdSZWZDb25maWcsXG4gICAgcHJpdmF0ZSBfZG9jdW1lbnQ6IERvY3VtZW50LFxuICAgIHByaXZhdGUgX25nWm9uZTogTmdab25lLFxuICAgIHByaXZhdGUgX3ZpZXdwb3J0UnVsZXI6IFZpZXdwb3J0UnVsZXIsXG4gICAgcHJpdmF0ZSBfZHJhZ0Ryb3BSZWdpc3RyeTogRHJhZ0Ryb3BSZWdpc3RyeTxEcmFnUmVmLCBEcm9wTGlzdFJlZj4pIHtcbiAgICB0aGlzLl9lbGVtZW50ID0gY29lcmNlRWxlbWVudChlbGVtZW50KTtcbiAgfVxuXG4gIC8qKiBXaGV0aGVyIHRoZSB1c2VyIGlzIGN1cnJlbnRseSByZXNpemluZyB0aGUgZWxlbWVudC4gKi9cbiAgaXNSZXNpemluZygpOiBib29sZWFuIHtcbiAgICByZXR1cm4gISF0aGlzLl9hY3RpdmVIYW5kbGU7XG4gIH1cblxuICAvKipcbiAgICogUmVnaXN0ZXJzIHRoZSBoYW5kbGVzIHRocm91Z2ggd2hpY2ggdGhlIHVzZXIgY2FuIHJlc2l6ZSB0aGUgZWxlbWVudC5cbiAgICogQHBhcmFtIGhhbmRsZXMgSGFuZGxlcyB0aGF0IHNob3VsZCBiZSByZWdpc3RlcmVkLlxuICAgKi9cbiAgd2l0aEhhbmRsZXMoaGFuZGxlczogUmVzaXplSGFuZGxlW10pOiB0aGlzIHtcbiAgICB0aGlzLl9yZW1vdmVIYW5kbGVzKCk7XG4gICAgdGhpcy5faGFuZGxlcyA9IGhhbmRsZXMubWFwKGhhbmRsZSA9PiB0aGlzLl9jcmVhdGVIYW5kbGUoaGFuZGxlKSk7XG4gICAgcmV0dXJuIHRoaXM7XG4gIH1cblxuICAvKipcbiAgICogU2V0cyBhbiBlbGVtZW50IHRoYXQgdGhlIHJlc2l6YWJsZSBlbGVtZW50IGNhbid0IGdyb3cgYmV5b25kLlxuICAgKiBAcGFyYW0gYm91bmRhcnlFbGVtZW50IEVsZW1lbnQgdGhhdCB0aGUgZWxlbWVudCBzaG91bGQgc3RheSBpbnNpZGUgb2YuXG4gICAqL1xuICB3aXRoQm91bmRhcnlFbGVtZW50KGJvdW5kYXJ5RWxlbWVudDogRWxlbWVudFJlZjxIVE1MRWxlbWVudD4gfCBIVE1MRWxlbWVudCB8IG51bGwpOiB0aGlzIHtcbiAgICB0aGlzLl9ib3VuZGFyeUVsZW1lbnQgPSBib3VuZGFyeUVsZW1lbnQgPyBjb2VyY2VFbGVtZW50KGJvdW5kYXJ5RWxlbWVudCkgOiBudWxsO1xuICAgIHRoaXMuX2hhbmRsZXMuZm9yRWFjaChoYW5kbGUgPT4gaGFuZGxlLmRyYWdSZWYud2l0aEJvdW5kYXJ5RWxlbWVudCh0aGlzLl9ib3VuZGFyeUVsZW1lbnQpKTtcbiAgICByZXR1cm4gdGhpcztcbiAgfVxuXG4gIC8qKiBTZXRzIHRoZSBsYXlvdXQgZGlyZWN0aW9uIG9mIHRoZSBlbGVtZW50LiAqL1xuICB3aXRoRGlyZWN0aW9uKGRpcmVjdGlvbjogRGlyZWN0aW9uKTogdGhpcyB7XG4gICAgdGhpcy5fZGlyZWN0aW9uID0gZGlyZWN0aW9uO1xuICAgIHRoaXMuX2hhbmRsZXMuZm9yRWFjaChoYW5kbGUgPT4gaGFuZGxlLmRyYWdSZWYud2l0aERpcmVjdGlvbihkaXJlY3Rpb24pKTtcbiAgICByZXR1cm4gdGhpcztcbiAgfVxuXG4gIC8qKiBHZXRzIHRoZSBjdXJyZW50IGRpbWVuc2lvbnMgb2YgdGhlIGVsZW1lbnQuICovXG4gIGdldFNpemUoKTogUmVzaXplRGltZW5zaW9ucyB7XG4gICAgY29uc3Qge3dpZHRoLCBoZWlnaHR9ID0gdGhpcy5fZWxlbWVudC5nZXRCb3VuZGluZ0NsaWVudFJlY3QoKTtcbiAgICByZXR1cm4ge3dpZHRoLCBoZWlnaHR9O1xuICB9XG5cbiAgLyoqXG4gICAqIFJlc2l6ZXMgdGhlIGVsZW1lbnQgdG8gc3BlY2lmaWMgZGltZW5zaW9ucy4gVGhlIGRpbWVuc2lvbnMgYXJlIGNvbnN0cmFpbmVkXG4gICAqIGJ5IHRoZSByZWYncyBtaW5pbXVtIGFuZCBtYXhpbXVtIHNpemVzLlxuICAgKiBAcGFyYW0gc2l6ZSBEaW1lbnNpb25zIHRvIHdoaWNoIHRvIHJlc2l6ZSB0aGUgZWxlbWVudC5cbiAgICovXG4gIHNldFNpemUoc2l6ZTogUmVzaXplRGltZW5zaW9ucyk6IHRoaXMge1xuICAgIHRoaXMuX2luaXRpYWxTaXplID0gdGhpcy5fY3VycmVudFNpemUgPSB0aGlzLmdldFNpemUoKTtcbiAgICB0aGlzLl9tZWFzdXJlU2l6ZU9mZnNldCgpO1xuICAgIHRoaXMuX2FwcGx5U2l6ZSh0aGlzLl9jb25zdHJhaW5TaXplKHNpemUsIHRydWUsIHRydWUpKTtcbiAgICByZXR1cm4gdGhpcztcbiAgfVxuXG4gIC8qKiBSZW1vdmVzIHRoZSByZXNpemluZyBmdW5jdGlvbmFsaXR5IGZyb20gdGhlIGVsZW1lbnQuICovXG4gIGRpc3Bvc2UoKSB7XG4gICAgdGhpcy5fcmVtb3ZlSGFuZGxlcygpO1xuICAgIHRoaXMuX2JvdW5kYXJ5RWxlbWVudCA9IHRoaXMuX2FjdGl2ZUhhbmRsZSA9IG51bGw7XG4gICAgdGhpcy5iZWZvcmVTdGFydGVkLmNvbXBsZXRlKCk7XG4gICAgdGhpcy5zdGFydGVkLmNvbXBsZXRlKCk7XG4gICAgdGhpcy5yZXNpemVkLmNvbXBsZXRlKCk7XG4gICAgdGhpcy5lbmRlZC5jb21wbGV0ZSgpO1xuICB9XG5cbiAgLyoqIENyZWF0ZXMgdGhlIHN0YXRlIGZvciBhIGhhbmRsZSBhbmQgc3RhcnRzIGxpc3RlbmluZyB0byBpdHMgZXZlbnRzLiAqL1xuICBwcml2YXRlIF9jcmVhdGVIYW5kbGUoaGFuZGxlOiBSZXNpemVIYW5kbGUpOiBSZXNpemVIYW5kbGVSZWYge1xuICAgIGNvbnN0IGVsZW1lbnQgPSBjb2VyY2VFbGVtZW50KGhhbmRsZS5lbGVtZW50KTtcbiAgICBjb25zdCBwb3NpdGlvbiA9IGhhbmRsZS5wb3NpdGlvbjtcbiAgICBjb25zdCBkcmFnUmVmID0gbmV3IERyYWdSZWYoZWxlbWVudCwgdGhpcy5fY29uZmlnLCB0aGlzLl9kb2N1bWVudCwgdGhpcy5fbmdab25lLFxuICAgICAgICB0aGlzLl92aWV3cG9ydFJ1bGVyLCB0aGlzLl9kcmFnRHJvcFJlZ2lzdHJ5KTtcbiAgICBjb25zdCByZXNpemVzWCA9IHBvc2l0aW9uLmluZGV4T2YoJ3N0YXJ0JykgPiAtMSB8fCBwb3NpdGlvbi5pbmRleE9mKCdlbmQnKSA+IC0xO1xuICAgIGNvbnN0IHJlc2l6ZXNZID0gcG9zaXRpb24uaW5kZXhPZigndG9wJykgPiAtMSB8fCBwb3NpdGlvbi5pbmRleE9mKCdib3R0b20nKSA+IC0xO1xuICAgIGNvbnN0IGhhbmRsZVJlZjogUmVzaXplSGFuZGxlUmVmID0ge1xuICAgICAgZWxlbWVudCxcbiAgICAgIHBvc2l0aW9uLFxuICAgICAgZHJhZ1JlZixcbiAgICAgIHN1YnNjcmlwdGlvbjogbmV3IFN1YnNjcmlwdGlvbigpXG4gICAgfTtcblxuICAgIC8vIFRoZSBoYW5kbGUgc2hvdWxkbid0IG1vdmUgd2hpbGUgaXQncyBiZWluZyBkcmFnZ2VkLCBiZWNhdXNlIHRoZSBlbGVtZW50J3NcbiAgICAvLyBuZXcgZGltZW5zaW9ucyB3aWxsIHB1dCBpdCBpbnRvIGl0cyBuZXcgcGxhY2UuIFdlIG9ubHkgbmVlZCB0aGUgYERyYWdSZWZgXG4gICAgLy8gaW4gb3JkZXIgdG8gdHJhY2sgdGhlIHBvaW50ZXIgYW5kIHRvIGNvbnN0cmFpbiBpdCB0byB0aGUgYm91bmRhcnkuXG4gICAgZHJhZ1JlZi5jb25zdHJhaW5GcmVlRHJhZ1Bvc2l0aW9uID0gKCkgPT4gKHt4OiAwLCB5OiAwfSk7XG5cbiAgICBpZiAocmVzaXplc1ggIT09IHJlc2l6ZXNZKSB7XG4gICAgICBkcmFnUmVmLmxvY2tBeGlzID0gcmVzaXplc1ggPyAneCcgOiAneSc7XG4gICAgfVxuXG4gICAgZHJhZ1JlZi5kaXNhYmxlZCA9IHRoaXMuX2Rpc2FibGVkO1xuICAgIGRyYWdSZWYud2l0aEJvdW5kYXJ5RWxlbWVudCh0aGlzLl9ib3VuZGFyeUVsZW1lbnQpLndpdGhEaXJlY3Rpb24odGhpcy5fZGlyZWN0aW9uKTtcblxuICAgIGhhbmRsZVJlZi5zdWJzY3JpcHRpb24uYWRkKGRyYWdSZWYuYmVmb3JlU3RhcnRlZC5zdWJzY3JpYmUoKCkgPT4gdGhpcy5iZWZvcmVTdGFydGVkLm5leHQoKSkpO1xuICAgIGhhbmRsZVJlZi5zdWJzY3JpcHRpb24uYWRkKGRyYWdSZWYuc3RhcnRlZC5zdWJzY3JpYmUoKCkgPT4gdGhpcy5fc3RhcnRSZXNpemluZyhoYW5kbGVSZWYpKSk7XG4gICAgaGFuZGxlUmVmLnN1YnNjcmlwdGlvbi5hZGQoZHJhZ1JlZi5tb3ZlZC5zdWJzY3JpYmUoZXZlbnQgPT4ge1xuICAgICAgdGhpcy5fcmVzaXplKGhhbmRsZVJlZiwgZXZlbnQuZGlzdGFuY2UpO1xuICAgIH0pKTtcbiAgICBoYW5kbGVSZWYuc3Vic2NyaXB0aW9uLmFkZChkcmFnUmVmLmVuZGVkLnN1YnNjcmliZSgoKSA9PiB0aGlzLl9zdG9wUmVzaXppbmcoaGFuZGxlUmVmKSkpO1xuXG4gICAgdGhpcy5fbmdab25lLnJ1bk91dHNpZGVBbmd1bGFyKCgpID0+IHtcbiAgICAgIGVsZW1lbnQuYWRkRXZlbnRMaXN0ZW5lcigna2V5ZG93bicsIHRoaXMuX2hhbmRsZUtleWRvd24pO1xuICAgIH0pO1xuXG4gICAgcmV0dXJuIGhhbmRsZVJlZjtcbiAgfVxuXG4gIC8qKiBSZW1vdmVzIGFsbCBvZiB0aGUgcmVnaXN0ZXJlZCBoYW5kbGVzLiAqL1xuICBwcml2YXRlIF9yZW1vdmVIYW5kbGVzKCkge1xuICAgIHRoaXMuX2hhbmRsZXMuZm9yRWFjaChoYW5kbGUgPT4ge1xuICAgICAgaGFuZGxlLmVsZW1lbnQucmVtb3ZlRXZlbnRMaXN0ZW5lcigna2V5ZG93bicsIHRoaXMuX2hhbmRsZUtleWRvd24pO1xuICAgICAgaGFuZGxlLnN1YnNjcmlwdGlvbi51bnN1YnNjcmliZSgpO1xuICAgICAgaGFuZGxlLmRyYWdSZWYuZGlzcG9zZSgpO1xuICAgIH0pO1xuICAgIHRoaXMuX2hhbmRsZXMgPSBbXTtcbiAgfVxuXG4gIC8qKiBTdGFydHMgYSByZXNpemluZyBzZXF1ZW5jZSB0aHJvdWdoIGEgc3BlY2lmaWMgaGFuZGxlLiAqL1xuICBwcml2YXRlIF9zdGFydFJlc2l6aW5nKGhhbmRsZTogUmVzaXplSGFuZGxlUmVmKSB7XG4gICAgdGhpcy5fYWN0aXZlSGFuZGxlID0gaGFuZGxlO1xuICAgIHRoaXMuX2luaXRpYWxTaXplID0gdGhpcy5fY3VycmVudFNpemUgPSB0aGlzLmdldFNpemUoKTtcbiAgICB0aGlzLl9tZWFzdXJlU2l6ZU9mZnNldCgpO1xuICAgIHRoaXMuc3RhcnRlZC5uZXh0KHtzb3VyY2U6IHRoaXMsIGhhbmRsZTogaGFuZGxlLmVsZW1lbnR9KTtcbiAgfVxuXG4gIC8qKlxuICAgKiBSZXNpemVzIHRoZSBlbGVtZW50IGJhc2VkIG9uIGhvdyBmYXIgdGhlIHVzZXIgaGFzIG1vdmVkIGEgaGFuZGxlLlxuICAgKiBAcGFyYW0gaGFuZGxlIEhhbmRsZSB0aGF0IGlzIGJlaW5nIG1vdmVkLlxuICAgKiBAcGFyYW0gZGlzdGFuY2UgRGlzdGFuY2UgdGhhdCB0aGUgaGFuZGxlIGhhcyBiZWVuIG1vdmVkIHNpbmNlIHJlc2l6aW5nIHN0YXJ0ZWQuXG4gICAqL1xuICBwcml2YXRlIF9yZXNpemUoaGFuZGxlOiBSZXNpemVIYW5kbGVSZWYsIGRpc3RhbmNlOiBQb2ludCkge1xuICAgIGNvbnN0IHt4OiBkaXJlY3Rpb25YLCB5OiBkaXJlY3Rpb25ZfSA9IHRoaXMuX2dldEhhbmRsZURpcmVjdGlvbihoYW5kbGUucG9zaXRpb24pO1xuICAgIGNvbnN0IHNpemUgPSB0aGlzLl9jb25zdHJhaW5TaXplKHtcbiAgICAgIHdpZHRoOiB0aGlzLl9pbml0aWFsU2l6ZS53aWR0aCArIGRpc3RhbmNlLnggKiBkaXJlY3Rpb25YLFxuICAgICAgaGVpZ2h0OiB0aGlzLl9pbml0aWFsU2l6ZS5oZWlnaHQgKyBkaXN0YW5jZS55ICogZGlyZWN0aW9uWVxuICAgIH0sIGRpcmVjdGlvblggIT09IDAsIGRpcmVjdGlvblkgIT09IDApO1xuXG4gICAgaWYgKHNpemUud2lkdGggIT09IHRoaXMuX2N1cnJlbnRTaXplLndpZHRoIHx8IHNpemUuaGVpZ2h0ICE9PSB0aGlzLl9jdXJyZW50U2l6ZS5oZWlnaHQpIHtcbiAgICAgIHRoaXMuX2FwcGx5U2l6ZShzaXplKTtcbiAgICAgIHRoaXMucmVzaXplZC5uZXh0KHtzb3VyY2U6IHRoaXMsIGhhbmRsZTogaGFuZGxlLmVsZW1lbnQsIC4uLnNpemV9KTtcbiAgICB9XG4gIH1cblxuICAvKiogU3RvcHMgdGhlIGN1cnJlbnQgcmVzaXppbmcgc2VxdWVuY2UuICovXG4gIHByaXZhdGUgX3N0b3BSZXNpemluZyhoYW5kbGU6IFJlc2l6ZUhhbmRsZVJlZikge1xuICAgIHRoaXMuX2FjdGl2ZUhhbmRsZSA9IG51bGw7XG4gICAgdGhpcy5lbmRlZC5uZXh0KHtzb3VyY2U6IHRoaXMsIGhhbmRsZTogaGFuZGxlLmVsZW1lbnQsIC4uLnRoaXMuX2N1cnJlbnRTaXplfSk7XG4gIH1cblxuICAvKiogSGFuZGxlcyBrZXlib2FyZCBldmVudHMgb24gdGhlIHJlc2l6ZSBoYW5kbGVzLiAqL1xuICBwcml2YXRlIF9oYW5kbGVLZXlkb3duID0gKGV2ZW50OiBLZXlib2FyZEV2ZW50KSA9PiB7XG4gICAgY29uc3QgaGFuZGxlID0gdGhpcy5faGFuZGxlcy5maW5kKGN1cnJlbnQgPT4gY3VycmVudC5lbGVtZW50ID09PSBldmVudC5jdXJyZW50VGFyZ2V0KTtcbiAgICBjb25zdCBrZXlDb2RlID0gZXZlbnQua2V5Q29kZTtcblxuICAgIGlmICghaGFuZGxlIHx8IHRoaXMuX2Rpc2FibGVkIHx8IHRoaXMuX2FjdGl2ZUhhbmRsZSB8fCBoYXNNb2RpZmllcktleShldmVudCkgfHxcbiAgICAgICAgKGtleUNvZGUgIT09IExFRlRfQVJST1cgJiYga2V5Q29kZSAhPT0gUklHSFRfQVJST1cgJiZcbiAgICAgICAgIGtleUNvZGUgIT09IFVQX0FSUk9XICYmIGtleUNvZGUgIT09IERPV05fQVJST1cpKSB7XG4gICAgICByZXR1cm47XG4gICAgfVxuXG4gICAgY29uc3QgZGlyZWN0aW9uID0gdGhpcy5fZ2V0SGFuZGxlRGlyZWN0aW9uKGhhbmRsZS5wb3NpdGlvbik7XG4gICAgY29uc3Qgc3RlcCA9IHRoaXMua2V5Ym9hcmRTdGVwO1xuICAgIGNvbnN0IGRpc3RhbmNlID0ge1xuICAgICAgeDoga2V5Q29kZSA9PT0gTEVGVF9BUlJPVyA/IC1zdGVwIDogKGtleUNvZGUgPT09IFJJR0hUX0FSUk9XID8gc3RlcCA6IDApLFxuICAgICAgeToga2V5Q29kZSA9PT0gVVBfQVJST1cgPyAtc3RlcCA6IChrZXlDb2RlID09PSBET1dOX0FSUk9XID8gc3RlcCA6IDApXG4gICAgfTtcblxuICAgIC8vIERvbid0IGRvIGFueXRoaW5nIGlmIHRoZSBrZXkgd291bGQgbW92ZSB0aGUgaGFuZGxlIGFsb25nIGFuIGF4aXMgdGhhdCBpdCBkb2Vzbid0IHJlc2l6ZS5cbiAgICBpZiAoKGRpc3RhbmNlLnggIT09IDAgJiYgZGlyZWN0aW9uLnggPT09IDApIHx8IChkaXN0YW5jZS55ICE9PSAwICYmIGRpcmVjdGlvbi55ID09PSAwKSkge1xuICAgICAgcmV0dXJuO1xuICAgIH1cblxuICAgIGV2ZW50LnByZXZlbnREZWZhdWx0KCk7XG4gICAgdGhpcy5fbmdab25lLnJ1bigoKSA9PiB7XG4gICAgICB0aGlzLmJlZm9yZVN0YXJ0ZWQubmV4dCgpO1xuICAgICAgdGhpcy5fc3RhcnRSZXNpemluZyhoYW5kbGUpO1xuICAgICAgdGhpcy5fcmVzaXplKGhhbmRsZSwgZGlzdGFuY2UpO1xuICAgICAgdGhpcy5fc3RvcFJlc2l6aW5nKGhhbmRsZSk7XG4gICAgfSk7XG4gIH1cblxuICAvKipcbiAgICogR2V0cyB0aGUgZGlyZWN0aW9uIGluIHdoaWNoIGEgaGFuZGxlIGNoYW5nZXMgdGhlIGVsZW1lbnQncyBkaW1lbnNpb25zLlxuICAgKiBgMWAgbWVhbnMgdGhhdCB0aGUgZGltZW5zaW9uIGluY3JlYXNlcyBhcyB0aGUgcG9pbnRlciBtb3ZlcyB0byB0aGUgcmlnaHQgb3IgZG93bixcbiAgICogYC0xYCBtZWFucyB0aGF0IGl0IGRlY3JlYXNlcyBhbmQgYDBgIG1lYW5zIHRoYXQgdGhlIGhhbmRsZSBkb2Vzbid0IGFmZmVjdCBpdC5cbiAgICovXG4gIHByaXZhdGUgX2dldEhhbmRsZURpcmVjdGlvbihwb3NpdGlvbjogUmVzaXplSGFuZGxlUG9zaXRpb24pOiBQb2ludCB7XG4gICAgY29uc3QgaXNSdGwgPSB0aGlzLl9kaXJlY3Rpb24gPT09ICdydGwnO1xuICAgIGxldCB4ID0gMDtcbiAgICBsZXQgeSA9IDA7XG5cbiAgICBpZiAocG9zaXRpb24uaW5kZXhPZignZW5kJykgPiAtMSkge1xuICAgICAgeCA9IGlzUnRsID8gLTEgOiAxO1xuICAgIH0gZWxzZSBpZiAocG9zaXRpb24uaW5kZXhPZignc3RhcnQnKSA+IC0xKSB7XG4gICAgICB4ID0gaXNSdGwgPyAxIDogLTE7XG4gICAgfVxuXG4gICAgaWYgKHBvc2l0aW9uLmluZGV4T2YoJ2JvdHRvbScpID4gLTEpIHtcbiAgICAgIHkgPSAxO1xuICAgIH0gZWxzZSBpZiAocG9zaXRpb24uaW5kZXhPZigndG9wJykgPiAtMSkge1xuICAgICAgeSA9IC0xO1xuICAgIH1cblxuICAgIHJldHVybiB7eCwgeX07XG4gIH1cblxuICAvKipcbiAgICogQ29uc3RyYWlucyBhIHNldCBvZiBkaW1lbnNpb25zIHRvIHRoZSBtaW5pbXVtIGFuZCBtYXhpbXVtIHNpemVzXG4gICAqIGFuZCB0byB0aGUgZWxlbWVudCdzIGFzcGVjdCByYXRpbywgaWYgaXQgaXMgbG9ja2VkLlxuICAgKiBAcGFyYW0gc2l6ZSBEaW1lbnNpb25zIHRvIGJlIGNvbnN0cmFpbmVkLlxuICAgKiBAcGFyYW0gcmVzaXplc1ggV2hldGhlciB0aGUgd2lkdGggaXMgYmVpbmcgY2hhbmdlZC5cbiAgICogQHBhcmFtIHJlc2l6ZXNZIFdoZXRoZXIgdGhlIGhlaWdodCBpcyBiZWluZyBjaGFuZ2VkLlxuICAgKi9cbiAgcHJpdmF0ZSBfY29uc3RyYWluU2l6ZShzaXplOiBSZXNpemVEaW1lbnNpb25zLCByZXNpemVzWDogYm9vbGVhbixcbiAgICAgICAgICAgICAgICAgICAgICAgICByZXNpemVzWTogYm9vbGVhbik6IFJlc2l6ZURpbWVuc2lvbnMge1xuICAgIGNvbnN0IGluaXRpYWxTaXplID0gdGhpcy5faW5pdGlhbFNpemU7XG4gICAgbGV0IHdpZHRoID0gcmVzaXplc1ggPyBjbGFtcChzaXplLndpZHRoLCB0aGlzLm1pbldpZHRoLCB0aGlzLm1heFdpZHRoKSA6IGluaXRpYWxTaXplLndpZHRoO1xuICAgIGxldCBoZWlnaHQgPSByZXNpemVzWSA/IGNsYW1wKHNpemUuaGVpZ2h0LCB0aGlzLm1pbkhlaWdodCwgdGhpcy5tYXhIZWlnaHQpIDogaW5pdGlhbFNpemUuaGVpZ2h0O1xuXG4gICAgaWYgKHRoaXMubG9ja0FzcGVjdFJhdGlvICYmIGluaXRpYWxTaXplLndpZHRoID4gMCAmJiBpbml0aWFsU2l6ZS5oZWlnaHQgPiAwKSB7XG4gICAgICBjb25zdCByYXRpbyA9IGluaXRpYWxTaXplLndpZHRoIC8gaW5pdGlhbFNpemUuaGVpZ2h0O1xuXG4gICAgICAvLyBMZXQgdGhlIGRpbWVuc2lvbiB0aGF0IGhhcyBjaGFuZ2VkIHRoZSBtb3N0IGRldGVybWluZSB0aGUgc2l6ZS5cbiAgICAgIGlmICghcmVzaXplc1kgfHwgKHJlc2l6ZXNYICYmXG4gICAgICAgICAgTWF0aC5hYnMod2lkdGggLyBpbml0aWFsU2l6ZS53aWR0aCAtIDEpID49IE1hdGguYWJzKGhlaWdodCAvIGluaXRpYWxTaXplLmhlaWdodCAtIDEpKSkge1xuICAgICAgICBoZWlnaHQgPSB3aWR0aCAvIHJhdGlvO1xuICAgICAgfSBlbHNlIHtcbiAgICAgICAgd2lkdGggPSBoZWlnaHQgKiByYXRpbztcbiAgICAgIH1cblxuICAgICAgd2lkdGggPSBjbGFtcCh3aWR0aCwgTWF0aC5tYXgodGhpcy5taW5XaWR0aCwgdGhpcy5taW5IZWlnaHQgKiByYXRpbyksXG4gICAgICAgICAgICAgICAgICAgICAgICAgICBNYXRoLm1pbih0aGlzLm1heFdpZHRoLCB0aGlzLm1heEhlaWdodCAqIHJhdGlvKSk7XG4gICAgICBoZWlnaHQgPSB3aWR0aCAvIHJhdGlvO1xuICAgIH1cblxuICAgIHJldHVybiB7d2lkdGgsIGhlaWdodH07XG4gIH1cblxuICAvKiogTWVhc3VyZXMgaG93IG11Y2ggdGhlIGVsZW1lbnQncyBkaW1lbnNpb25zIGRpZmZlciBmcm9tIGl0cyBgd2lkdGhgIGFuZCBgaGVpZ2h0YC4gKi9cbiAgcHJpdmF0ZSBfbWVhc3VyZVNpemVPZmZzZXQoKSB7XG4gICAgY29uc3Qgc3R5bGVzID0gZ2V0Q29tcHV0ZWRTdHlsZSh0aGlzLl9lbGVtZW50KTtcbiAgICBjb25zdCB3aWR0aCA9IHBhcnNlRmxvYXQoc3R5bGVzLndpZHRoKTtcbiAgICBjb25zdCBoZWlnaHQgPSBwYXJzZUZsb2F0KHN0eWxlcy5oZWlnaHQpO1xuXG4gICAgdGhpcy5fc2l6ZU9mZnNldCA9IHtcbiAgICAgIHdpZHRoOiBpc05hTih3aWR0aCkgPyAwIDogdGhpcy5faW5pdGlhbFNpemUud2lkdGggLSB3aWR0aCxcbiAgICAgIGhlaWdodDogaXNOYU4oaGVpZ2h0KSA/IDAgOiB0aGlzLl9pbml0aWFsU2l6ZS5oZWlnaHQgLSBoZWlnaHRcbiAgICB9O1xuICB9XG5cbiAgLyoqIEFwcGxpZXMgYSBzZXQgb2YgZGltZW5zaW9ucyB0byB0aGUgZWxlbWVudC4gKi9cbiAgcHJpdmF0ZSBfYXBwbHlTaXplKHNpemU6IFJlc2l6ZURpbWVuc2lvbnMpIHtcbiAgICBjb25zdCBzdHlsZSA9IHRoaXMuX2VsZW1lbnQuc3R5bGU7XG5cbiAgICBpZiAoc2l6ZS53aWR0aCAhPT0gdGhpcy5fY3VycmVudFNpemUud2lkdGgpIHtcbiAgICAgIHN0eWxlLndpZHRoID0gYCR7TWF0aC5tYXgoMCwgc2l6ZS53aWR0aCAtIHRoaXMuX3NpemVPZmZzZXQud2lkdGgpfXB4YDtcbiAgICB9XG5cbiAgICBpZiAoc2l6ZS5oZWlnaHQgIT09IHRoaXMuX2N1cnJlbnRTaXplLmhlaWdodCkge1xuICAgICAgc3R5bGUuaGVpZ2h0ID0gYCR7TWF0aC5tYXgoMCwgc2l6ZS5oZWlnaHQgLSB0aGlzLl9zaXplT2Zmc2V0LmhlaWdodCl9cHhgO1xuICAgIH1cblxuICAgIHRoaXMuX2N1cnJlbnRTaXplID0gc2l6ZTtcbiAgfVxufVxuXG4vKiogQ2xhbXBzIGEgdmFsdWUgYmV0d2VlbiBhIG1pbmltdW0gYW5kIGEgbWF4aW11bS4gKi9cbmZ1bmN0aW9uIGNsYW1wKHZhbHVlOiBudW1iZXIsIG1pbjogbnVtYmVyLCBtYXg6IG51bWJlcik6IG51bWJlciB7XG4gIHJldHVybiBNYXRoLm1heChtaW4sIE1hdGgubWluKG1heCwgdmFsdWUpKTtcbn1cbiJdfQ==
\ No newline at end of file
@@ -0,0 +1,32 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { CdkListbox } from '@angular/cdk/listbox';
+import { Directive } from '@angular/core';
+import { NG_VALUE_ACCESSOR } from '@angular/forms';
+/**
+ * Provider that allows the listbox to register as a ControlValueAccessor.
+ * @docs-private
+ */
+export const CDK_LISTBOX_VALUE_ACCESSOR = {
+    provide: NG_VALUE_ACCESSOR,
+    useExisting: CdkListbox,
+    multi: true
+};
+/**
+ * Registers a `CdkListbox` as the value accessor of the form control on the same element. Lives
+ * in its own entry point so that the listbox can be used without bringing in `@angular/forms`.
+ */
+export class CdkListboxValueAccessor {
+}
+CdkListboxValueAccessor.decorators = [
+    { type: Directive, args: [{
+                selector: '[cdkListbox][formControl], [cdkListbox][formControlName], [cdkListbox][ngModel]',
+                providers: [CDK_LISTBOX_VALUE_ACCESSOR],
+            },] }
+];
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoibGlzdGJveC12YWx1ZS1hY2Nlc3Nvci5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbIi4uLy4uLy4uLy4uLy4uLy4uLy4uL3NyYy9jZGsvbGlzdGJveC9mb3Jtcy9saXN0Ym94LXZhbHVlLWFjY2Vzc29yLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBOzs7Ozs7R0FNRztBQUVILE9BQU8sRUFBQyxVQUFVLEVBQUMsTUFBTSxzQkFBc0IsQ0FBQztBQUNoRCxPQUFPLEVBQUMsU0FBUyxFQUFDLE1BQU0sZUFBZSxDQUFDO0FBQ3hDLE9BQU8sRUFBQyxpQkFBaUIsRUFBQyxNQUFNLGdCQUFnQixDQUFDO0FBRWpEOzs7R0FHRztBQUNILE1BQU0sQ0FBQyxNQUFNLDBCQUEwQixHQUFRO0lBQzdDLE9BQU8sRUFBRSxpQkFBaUI7SUFDMUIsV0FBVyxFQUFFLFVBQVU7SUFDdkIsS0FBSyxFQUFFLElBQUk7Q0FDWixDQUFDO0FBRUY7OztHQUdHO0FBS0gsTUFBTSxPQUFPLHVCQUF1Qjs7O1lBSm5DLFNBQVMsU0FBQztnQkFDVCxRQUFRLEVBQUUsaUZBQWlGO2dCQUMzRixTQUFTLEVBQUUsQ0FBQywwQkFBMEIsQ0FBQzthQUN4QyIsInNvdXJjZXNDb250ZW50IjpbIi8qKlxuICogQGxpY2Vuc2VcbiAqIENvcHlyaWdodCBHb29nbGUgTExDIEFsbCBSaWdodHMgUmVzZXJ2ZWQuXG4gKlxuICogVXNlIG9mIHRoaXMgc291cmNlIGNvZGUgaXMgZ292ZXJuZWQgYnkgYW4gTUlULXN0eWxlIGxpY2Vuc2UgdGhhdCBjYW4gYmVcbiAqIGZvdW5kIGluIHRoZSBMSUNFTlNFIGZpbGUgYXQgaHR0cHM6Ly9hbmd1bGFyLmlvL2xpY2Vuc2VcbiAqL1xuXG5pbXBvcnQge0Nka0xpc3Rib3h9IGZyb20gJ0Bhbmd1bGFyL2Nkay9saXN0Ym94JztcbmltcG9ydCB7RGlyZWN0aXZlfSBmcm9tICdAYW5ndWxhci9jb3JlJztcbmltcG9ydCB7TkdfVkFMVUVfQUNDRVNTT1J9IGZyb20gJ0Bhbmd1bGFyL2Zvcm1zJztcblxuLyoqXG4gKiBQcm92aWRlciB0aGF0IGFsbG93cyB0aGUgbGlzdGJveCB0byByZWdpc3RlciBhcyBhIENvbnRyb2xWYWx1ZUFjY2Vzc29yLlxuICogQGRvY3MtcHJpdmF0ZVxuICovXG5leHBvcnQgY29uc3QgQ0RLX0xJU1RCT1hfVkFMVUVfQUNDRVNTT1I6IGFueSA9IHtcbiAgcHJvdmlkZTogTkdfVkFMVUVfQUNDRVNTT1IsXG4gIHVzZUV4aXN0aW5nOiBDZGtMaXN0Ym94LFxuICBtdWx0aTogdHJ1ZVxufTtcblxuLyoqXG4gKiBSZWdpc3RlcnMgYSBgQ2RrTGlzdGJveGAgYXMgdGhlIHZhbHVlIGFjY2Vzc29yIG9mIHRoZSBmb3JtIGNvbnRyb2wgb24gdGhlIHNhbWUgZWxlbWVudC4gTGl2ZXNcbiAqIGluIGl0cyBvd24gZW50cnkgcG9pbnQgc28gdGhhdCB0aGUgbGlzdGJveCBjYW4gYmUgdXNlZCB3aXRob3V0IGJyaW5naW5nIGluIGBAYW5ndWxhci9mb3Jtc2AuXG4gKi9cbkBEaXJlY3RpdmUoe1xuICBzZWxlY3RvcjogJ1tjZGtMaXN0Ym94XVtmb3JtQ29udHJvbF0sIFtjZGtMaXN0Ym94XVtmb3JtQ29udHJvbE5hbWVdLCBbY2RrTGlzdGJveF1bbmdNb2RlbF0nLFxuICBwcm92aWRlcnM6IFtDREtfTElTVEJPWF9WQUxVRV9BQ0NFU1NPUl0sXG59KVxuZXhwb3J0IGNsYXNzIENka0xpc3Rib3hWYWx1ZUFjY2Vzc29yIHt9XG4iXX0=
\ No newline at end of file
@@ -0,0 +1,15 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { InjectionToken } from '@angular/core';
+/**
+ * Injection token that can be used by a popup panel, like `CdkComboboxPanel`, to provide itself
+ * to a listbox that is rendered inside of it. Used to avoid a dependency from the listbox on the
+ * packages that can host it.
+ */
+export const CDK_LISTBOX_PANEL = new InjectionToken('CDK_LISTBOX_PANEL');
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoibGlzdGJveC1wYW5lbC5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbIi4uLy4uLy4uLy4uLy4uLy4uL3NyYy9jZGsvbGlzdGJveC9saXN0Ym94LXBhbmVsLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBOzs7Ozs7R0FNRztBQUVILE9BQU8sRUFBQyxjQUFjLEVBQUMsTUFBTSxlQUFlLENBQUM7QUFvQjdDOzs7O0dBSUc7QUFDSCxNQUFNLENBQUMsTUFBTSxpQkFBaUIsR0FBRyxJQUFJLGNBQWMsQ0FBa0IsbUJBQW1CLENBQUMsQ0FBQyIsInNvdXJjZXNDb250ZW50IjpbIi8qKlxuICogQGxpY2Vuc2VcbiAqIENvcHlyaWdodCBHb29nbGUgTExDIEFsbCBSaWdodHMgUmVzZXJ2ZWQuXG4gKlxuICogVXNlIG9mIHRoaXMgc291cmNlIGNvZGUgaXMgZ292ZXJuZWQgYnkgYW4gTUlULXN0eWxlIGxpY2Vuc2UgdGhhdCBjYW4gYmVcbiAqIGZvdW5kIGluIHRoZSBMSUNFTlNFIGZpbGUgYXQgaHR0cHM6Ly9hbmd1bGFyLmlvL2xpY2Vuc2VcbiAqL1xuXG5pbXBvcnQge0luamVjdGlvblRva2VufSBmcm9tICdAYW5ndWxhci9jb3JlJztcblxuLyoqXG4gKiBQb3B1cCBwYW5lbCB0aGF0IGEgbGlzdGJveCBjYW4gYmUgcmVuZGVyZWQgaW4sIGUuZy4gdGhlIHBhbmVsIG9mIGEgY29tYm9ib3guIFRoZSBsaXN0Ym94IGhhbmRzXG4gKiBpdHMgc2VsZWN0ZWQgdmFsdWVzIHRvIHRoZSBwYW5lbCBhbmQgYXNrcyBpdCB0byBjbG9zZSBvbmNlIHRoZSB1c2VyIGlzIGRvbmUgcGlja2luZyBvcHRpb25zLlxuICovXG5leHBvcnQgaW50ZXJmYWNlIENka0xpc3Rib3hQYW5lbDxUID0gdW5rbm93bj4ge1xuICAvKiogVXBkYXRlcyB0aGUgdmFsdWUgdGhhdCBpcyBjb250cm9sbGVkIGJ5IHRoZSBwYW5lbCB3aXRob3V0IGNsb3NpbmcgaXQuICovXG4gIHVwZGF0ZVZhbHVlKGRhdGE6IFQgfCBUW10pOiB2b2lkO1xuXG4gIC8qKiBDbG9zZXMgdGhlIHBhbmVsLCBvcHRpb25hbGx5IHVwZGF0aW5nIHRoZSB2YWx1ZSB0aGF0IGlzIGNvbnRyb2xsZWQgYnkgdGhlIHBhbmVsLiAqL1xuICBjbG9zZVBhbmVsKGRhdGE/OiBUIHwgVFtdKTogdm9pZDtcblxuICAvKiogUmVnaXN0ZXJzIHRoZSBlbGVtZW50IHRoYXQgcmVuZGVycyB0aGUgY29udGVudCBvZiB0aGUgcGFuZWwuICovXG4gIF9yZWdpc3RlckNvbnRlbnQoZWxlbWVudDogSFRNTEVsZW1lbnQsIGlkOiBzdHJpbmcsIGNvbnRlbnRUeXBlPzogJ2xpc3Rib3gnKTogdm9pZDtcblxuICAvKiogUmVtb3ZlcyB0aGUgcmVmZXJlbmNlIHRvIHRoZSBjb250ZW50IG9mIHRoZSBwYW5lbCBvbmNlIGl0IGlzIGRlc3Ryb3llZC4gKi9cbiAgX3VucmVnaXN0ZXJDb250ZW50KGVsZW1lbnQ6IEhUTUxFbGVtZW50KTogdm9pZDtcbn1cblxuLyoqXG4gKiBJbmplY3Rpb24gdG9rZW4gdGhhdCBjYW4gYmUgdXNlZCBieSBhIHBvcHVwIHBhbmVsLCBsaWtlIGBDZGtDb21ib2JveFBhbmVsYCwgdG8gcHJvdmlkZSBpdHNlbGZcbiAqIHRvIGEgbGlzdGJveCB0aGF0IGlzIHJlbmRlcmVkIGluc2lkZSBvZiBpdC4gVXNlZCB0byBhdm9pZCBhIGRlcGVuZGVuY3kgZnJvbSB0aGUgbGlzdGJveCBvbiB0aGVcbiAqIHBhY2thZ2VzIHRoYXQgY2FuIGhvc3QgaXQuXG4gKi9cbmV4cG9ydCBjb25zdCBDREtfTElTVEJPWF9QQU5FTCA9IG5ldyBJbmplY3Rpb25Ub2tlbjxDZGtMaXN0Ym94UGFuZWw+KCdDREtfTElTVEJPWF9QQU5FTCcpO1xuIl19
\ No newline at end of file
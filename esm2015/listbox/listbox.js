@@ -0,0 +1,507 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { ActiveDescendantKeyManager } from '@angular/cdk/a11y';
+import { Directionality } from '@angular/cdk/bidi';
+import { coerceBooleanProperty } from '@angular/cdk/coercion';
+import { SelectionModel } from '@angular/cdk/collections';
+import { A, DOWN_ARROW, END, ENTER, ESCAPE, hasModifierKey, HOME, LEFT_ARROW, RIGHT_ARROW, SPACE, TAB, UP_ARROW, } from '@angular/cdk/keycodes';
+import { ContentChildren, Directive, ElementRef, EventEmitter, forwardRef, Inject, Input, Optional, Output, QueryList, } from '@angular/core';
+import { Subject } from 'rxjs';
+import { takeUntil } from 'rxjs/operators';
+import { CDK_LISTBOX_PANEL } from './listbox-panel';
+/** Counter used to create unique IDs for listboxes and options. */
+let nextId = 0;
+/** A selectable option in a listbox. */
+export class CdkOption {
+    constructor(_elementRef, 
+    /** Listbox that the option belongs to. */
+    listbox) {
+        this._elementRef = _elementRef;
+        this.listbox = listbox;
+        /** Unique ID of the option. */
+        this.id = `cdk-option-${nextId++}`;
+        /**
+         * The text used to locate this item during listbox typeahead. If not specified,
+         * the `textContent` of the option will be used.
+         */
+        this.typeaheadLabel = null;
+        this._disabled = false;
+        /**
+         * Whether the option is the active descendant of the listbox.
+         * @docs-private
+         */
+        this._active = false;
+    }
+    /** Whether the option is disabled. */
+    get disabled() { return this._disabled; }
+    set disabled(value) {
+        this._disabled = coerceBooleanProperty(value);
+    }
+    /** Whether the option is selected. */
+    isSelected() {
+        return this.listbox.isValueSelected(this.value);
+    }
+    /** Whether the option is the active descendant of the listbox. */
+    isActive() {
+        return this._active;
+    }
+    /** Selects the option. */
+    select() {
+        this.listbox.select(this.value);
+    }
+    /** Deselects the option. */
+    deselect() {
+        this.listbox.deselect(this.value);
+    }
+    /** Toggles the selected state of the option. */
+    toggle() {
+        this.listbox.toggle(this.value);
+    }
+    /** Gets the label that is used for typeahead, as required by `ListKeyManagerOption`. */
+    getLabel() {
+        if (this.typeaheadLabel) {
+            return this.typeaheadLabel;
+        }
+        const textContent = this._elementRef.nativeElement.textContent;
+        return textContent ? textContent.trim() : '';
+    }
+    /** Marks the option as the active descendant of the listbox. */
+    setActiveStyles() {
+        this._active = true;
+    }
+    /** Marks the option as no longer being the active descendant of the listbox. */
+    setInactiveStyles() {
+        this._active = false;
+    }
+    /**
+     * Whether the user shouldn't be able to interact with the option.
+     * @docs-private
+     */
+    _isInteractionDisabled() {
+        return this.listbox.disabled || this.disabled;
+    }
+    /** Handles clicks on the option. */
+    _handleClick() {
+        if (!this._isInteractionDisabled()) {
+            this.listbox._setActiveOption(this);
+            this.listbox._selectOptionFromUser(this);
+        }
+    }
+}
+CdkOption.decorators = [
+    { type: Directive, args: [{
+                selector: '[cdkOption]',
+                exportAs: 'cdkOption',
+                host: {
+                    'role': 'option',
+                    'class': 'cdk-option',
+                    '[id]': 'id',
+                    '[attr.aria-selected]': 'isSelected()',
+                    '[attr.aria-disabled]': '_isInteractionDisabled()',
+                    '[class.cdk-option-active]': '_active',
+                    '[class.cdk-option-selected]': 'isSelected()',
+                    '[class.cdk-option-disabled]': '_isInteractionDisabled()',
+                    '(click)': '_handleClick()',
+                },
+            },] }
+];
+CdkOption.ctorParameters = () => [
+    { type: ElementRef },
+    { type: CdkListbox, decorators: [{ type: Inject, args: [forwardRef(() => CdkListbox),] }] }
+];
+CdkOption.propDecorators = {
+    id: [{ type: Input }],
+    value: [{ type: Input, args: ['cdkOption',] }],
+    typeaheadLabel: [{ type: Input, args: ['cdkOptionTypeaheadLabel',] }],
+    disabled: [{ type: Input, args: ['cdkOptionDisabled',] }]
+};
+/**
+ * A listbox which allows the user to select one or more options. The listbox is focused as a
+ * whole and indicates the active option through `aria-activedescendant`. The selected values
+ * are kept in a `SelectionModel` and can be bound through Angular forms by importing the
+ * `CdkListboxFormsModule` from `@angular/cdk/listbox/forms`.
+ */
+export class CdkListbox {
+    constructor(_elementRef, _dir, _injectedComboboxPanel) {
+        this._elementRef = _elementRef;
+        this._dir = _dir;
+        this._injectedComboboxPanel = _injectedComboboxPanel;
+        /** Unique ID of the listbox. */
+        this.id = `cdk-listbox-${nextId++}`;
+        this._multiple = false;
+        this._disabled = false;
+        /** Orientation of the listbox's options. */
+        this.orientation = 'vertical';
+        /** Function used to compare an option's value with the selected values. */
+        this.compareWith = (a1, a2) => a1 === a2;
+        /**
+         * Combobox panel that the listbox is rendered in. Only has to be set if the panel
+         * can't be injected, e.g. when the app is using View Engine.
+         */
+        this.comboboxPanel = null;
+        /** Emits when the user changes the selected values of the listbox. */
+        this.valueChange = new EventEmitter();
+        /**
+         * Keeps track of the values that are selected in the listbox. The model always allows multiple
+         * values since the inputs can be set in any order. Single selection is enforced by the listbox.
+         */
+        this._selectionModel = new SelectionModel(true);
+        /** Emits when the listbox is destroyed. */
+        this._destroyed = new Subject();
+        /** Callback that is invoked when the value of the listbox changes. */
+        this._onChange = () => { };
+        /**
+         * Callback that is invoked when the listbox is blurred.
+         * @docs-private
+         */
+        this._onTouched = () => { };
+    }
+    /** Values that are selected in the listbox. */
+    get value() { return this._selectionModel.selected; }
+    set value(value) {
+        this._setSelection(value);
+    }
+    /** Whether the listbox allows multiple options to be selected. */
+    get multiple() { return this._multiple; }
+    set multiple(value) {
+        this._multiple = coerceBooleanProperty(value);
+        // Only keep the first value when switching to single selection after initialization.
+        // Before that the value may have been set before the `multiple` input.
+        if (!this._multiple && this._listKeyManager) {
+            this._selectionModel.deselect(...this._selectionModel.selected.slice(1));
+        }
+    }
+    /** Whether the listbox is disabled. */
+    get disabled() { return this._disabled; }
+    set disabled(value) {
+        this._disabled = coerceBooleanProperty(value);
+    }
+    ngAfterContentInit() {
+        if ((typeof ngDevMode === 'undefined' || ngDevMode) &&
+            !this.multiple && this.value.length > 1) {
+            throwMultipleValuesError();
+        }
+        this._listKeyManager = new ActiveDescendantKeyManager(this.options)
+            .withWrap()
+            .withTypeAhead()
+            .withHomeAndEnd();
+        if (this.orientation === 'horizontal') {
+            this._listKeyManager
+                .withVerticalOrientation(false)
+                .withHorizontalOrientation(this._dir ? this._dir.value : 'ltr');
+        }
+        this._listKeyManager.change
+            .pipe(takeUntil(this._destroyed))
+            .subscribe(() => this._scrollActiveOptionIntoView());
+        const panel = this._getComboboxPanel();
+        if (panel) {
+            panel._registerContent(this._elementRef.nativeElement, this.id, 'listbox');
+        }
+    }
+    ngOnDestroy() {
+        const panel = this._getComboboxPanel();
+        if (panel) {
+            panel._unregisterContent(this._elementRef.nativeElement);
+        }
+        this._destroyed.next();
+        this._destroyed.complete();
+    }
+    /** Whether a value is selected in the listbox. */
+    isValueSelected(value) {
+        return this._getSelectedValue(value) !== undefined;
+    }
+    /** Selects a value. Replaces the current value if the listbox only allows one selection. */
+    select(value) {
+        if (!this.isValueSelected(value)) {
+            if (!this.multiple) {
+                this._selectionModel.clear();
+            }
+            this._selectionModel.select(value);
+        }
+    }
+    /** Deselects a value. */
+    deselect(value) {
+        const selectedValue = this._getSelectedValue(value);
+        if (selectedValue !== undefined) {
+            this._selectionModel.deselect(selectedValue);
+        }
+    }
+    /** Toggles the selected state of a value. */
+    toggle(value) {
+        this.isValueSelected(value) ? this.deselect(value) : this.select(value);
+    }
+    /** Selects all of the options that aren't disabled. Only works if `multiple` is enabled. */
+    selectAll() {
+        if (this.multiple) {
+            this.options.forEach(option => {
+                if (!option.disabled) {
+                    this.select(option.value);
+                }
+            });
+        }
+    }
+    /** Deselects all of the options that aren't disabled. */
+    deselectAll() {
+        this.options.forEach(option => {
+            if (!option.disabled) {
+                this.deselect(option.value);
+            }
+        });
+    }
+    /** Moves focus to the listbox. */
+    focus() {
+        this._elementRef.nativeElement.focus();
+    }
+    /**
+     * Sets the value of the listbox from a form control.
+     * @docs-private
+     */
+    writeValue(value) {
+        this._setSelection(value);
+    }
+    /**
+     * Registers a callback that is invoked when the value of the listbox changes.
+     * @docs-private
+     */
+    registerOnChange(fn) {
+        this._onChange = fn;
+    }
+    /**
+     * Registers a callback that is invoked when the listbox is blurred.
+     * @docs-private
+     */
+    registerOnTouched(fn) {
+        this._onTouched = fn;
+    }
+    /**
+     * Disables the listbox from a form control.
+     * @docs-private
+     */
+    setDisabledState(isDisabled) {
+        this.disabled = isDisabled;
+    }
+    /** Gets the tabindex of the listbox. */
+    _getTabIndex() {
+        return this.disabled ? null : 0;
+    }
+    /** Gets the ID of the active option, if any. */
+    _getAriaActiveDescendant() {
+        const activeOption = this._listKeyManager && this._listKeyManager.activeItem;
+        return activeOption ? activeOption.id : null;
+    }
+    /**
+     * Makes an option the active descendant of the listbox.
+     * @docs-private
+     */
+    _setActiveOption(option) {
+        this._listKeyManager.setActiveItem(option);
+    }
+    /**
+     * Activates the first selected option, or the first option, when the listbox receives focus.
+     * @docs-private
+     */
+    _handleFocus() {
+        const keyManager = this._listKeyManager;
+        if (keyManager && !keyManager.activeItem) {
+            const selectedOption = this.options.find(option => option.isSelected() && !option.disabled);
+            selectedOption ? keyManager.setActiveItem(selectedOption) : keyManager.setFirstItemActive();
+        }
+    }
+    /** Handles keyboard events on the listbox. */
+    _handleKeydown(event) {
+        const keyManager = this._listKeyManager;
+        if (this.disabled || !keyManager) {
+            return;
+        }
+        const keyCode = event.keyCode;
+        const panel = this._getComboboxPanel();
+        switch (keyCode) {
+            case SPACE:
+            case ENTER:
+                if (!hasModifierKey(event) && keyManager.activeItem) {
+                    event.preventDefault();
+                    this._selectOptionFromUser(keyManager.activeItem);
+                }
+                break;
+            case A:
+                if (this.multiple && hasModifierKey(event, 'ctrlKey', 'metaKey') &&
+                    !hasModifierKey(event, 'altKey', 'shiftKey')) {
+                    event.preventDefault();
+                    const enabledOptions = this.options.filter(option => !option.disabled);
+                    const allSelected = enabledOptions.every(option => option.isSelected());
+                    allSelected ? this.deselectAll() : this.selectAll();
+                    this._emitValueChange(null);
+                }
+                else {
+                    keyManager.onKeydown(event);
+                }
+                break;
+            case ESCAPE:
+            case TAB:
+                // Let the combobox know that the user wants to leave the popup.
+                if (panel && !hasModifierKey(event)) {
+                    if (keyCode === ESCAPE) {
+                        event.preventDefault();
+                    }
+                    panel.closePanel();
+                }
+                break;
+            case UP_ARROW:
+            case DOWN_ARROW:
+            case LEFT_ARROW:
+            case RIGHT_ARROW:
+            case HOME:
+            case END:
+                const previousActiveItem = keyManager.activeItem;
+                const isShiftSelection = this.multiple && hasModifierKey(event, 'shiftKey') &&
+                    !hasModifierKey(event, 'ctrlKey', 'metaKey', 'altKey');
+                // The key manager ignores events with modifiers, but shift + arrow should still
+                // move the active option so that it can be used to extend the selection.
+                if (isShiftSelection) {
+                    this._moveActiveOption(event);
+                }
+                else {
+                    keyManager.onKeydown(event);
+                }
+                if (isShiftSelection && keyManager.activeItem &&
+                    keyManager.activeItem !== previousActiveItem) {
+                    this._selectOptionFromUser(keyManager.activeItem, 'select');
+                }
+                break;
+            default:
+                keyManager.onKeydown(event);
+        }
+    }
+    /**
+     * Selects an option as a result of a user interaction. Options are toggled if the listbox
+     * allows multiple selections and selected otherwise.
+     * @docs-private
+     */
+    _selectOptionFromUser(option, action = 'toggle') {
+        if (option._isInteractionDisabled()) {
+            return;
+        }
+        const wasSelected = option.isSelected();
+        if (this.multiple && action === 'toggle') {
+            this.toggle(option.value);
+        }
+        else {
+            this.select(option.value);
+        }
+        if (wasSelected !== option.isSelected()) {
+            this._emitValueChange(option);
+        }
+        const panel = this._getComboboxPanel();
+        if (panel) {
+            // Single-selection listboxes are done once an option is picked,
+            // whereas multi-selection ones stay open so more options can be picked.
+            this.multiple ? panel.updateValue(this.value.slice()) : panel.closePanel(option.value);
+        }
+    }
+    /** Moves the active option when the user is pressing the shift key. */
+    _moveActiveOption(event) {
+        const keyManager = this._listKeyManager;
+        const keyCode = event.keyCode;
+        const isHorizontal = this.orientation === 'horizontal';
+        const isRtl = !!this._dir && this._dir.value === 'rtl';
+        if (keyCode === HOME || keyCode === END) {
+            keyCode === HOME ? keyManager.setFirstItemActive() : keyManager.setLastItemActive();
+        }
+        else if (isHorizontal ? (keyCode === LEFT_ARROW || keyCode === RIGHT_ARROW) :
+            (keyCode === UP_ARROW || keyCode === DOWN_ARROW)) {
+            const isNext = isHorizontal ? (keyCode === RIGHT_ARROW) !== isRtl : keyCode === DOWN_ARROW;
+            isNext ? keyManager.setNextItemActive() : keyManager.setPreviousItemActive();
+        }
+        else {
+            return;
+        }
+        event.preventDefault();
+    }
+    /** Notifies the form control and the outputs that the user changed the value. */
+    _emitValueChange(option) {
+        const value = this.value;
+        this._onChange(this.multiple ? value.slice() : (value.length ? value[0] : null));
+        this.valueChange.emit({ value, listbox: this, option });
+    }
+    /** Replaces the selected values of the listbox. */
+    _setSelection(value) {
+        const values = value == null ? [] : (Array.isArray(value) ? value : [value]);
+        if ((typeof ngDevMode === 'undefined' || ngDevMode) && this._listKeyManager &&
+            !this.multiple && values.length > 1) {
+            throwMultipleValuesError();
+        }
+        this._selectionModel.clear();
+        values.forEach(current => {
+            if (!this.isValueSelected(current)) {
+                this._selectionModel.select(current);
+            }
+        });
+    }
+    /** Gets the selected value that is equal to a particular value, according to `compareWith`. */
+    _getSelectedValue(value) {
+        const selected = this._selectionModel.selected;
+        for (let i = 0; i < selected.length; i++) {
+            if (this.compareWith(selected[i], value)) {
+                return selected[i];
+            }
+        }
+        return undefined;
+    }
+    /** Scrolls the active option into view, if it is outside of the listbox's scrollable area. */
+    _scrollActiveOptionIntoView() {
+        const activeOption = this._listKeyManager.activeItem;
+        const element = activeOption && activeOption._elementRef.nativeElement;
+        if (element && element.scrollIntoView) {
+            element.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+        }
+    }
+    /** Gets the combobox panel that the listbox is rendered in, if any. */
+    _getComboboxPanel() {
+        return this._injectedComboboxPanel || this.comboboxPanel;
+    }
+}
+CdkListbox.decorators = [
+    { type: Directive, args: [{
+                selector: '[cdkListbox]',
+                exportAs: 'cdkListbox',
+                host: {
+                    'role': 'listbox',
+                    'class': 'cdk-listbox',
+                    '[id]': 'id',
+                    '[attr.tabindex]': '_getTabIndex()',
+                    '[attr.aria-disabled]': 'disabled',
+                    '[attr.aria-multiselectable]': 'multiple',
+                    '[attr.aria-activedescendant]': '_getAriaActiveDescendant()',
+                    '[attr.aria-orientation]': 'orientation',
+                    '(focus)': '_handleFocus()',
+                    '(blur)': '_onTouched()',
+                    '(keydown)': '_handleKeydown($event)',
+                },
+            },] }
+];
+CdkListbox.ctorParameters = () => [
+    { type: ElementRef },
+    { type: Directionality, decorators: [{ type: Optional }] },
+    { type: undefined, decorators: [{ type: Optional }, { type: Inject, args: [CDK_LISTBOX_PANEL,] }] }
+];
+CdkListbox.propDecorators = {
+    id: [{ type: Input }],
+    value: [{ type: Input, args: ['cdkListboxValue',] }],
+    multiple: [{ type: Input, args: ['cdkListboxMultiple',] }],
+    disabled: [{ type: Input, args: ['cdkListboxDisabled',] }],
+    orientation: [{ type: Input, args: ['cdkListboxOrientation',] }],
+    compareWith: [{ type: Input, args: ['cdkListboxCompareWith',] }],
+    comboboxPanel: [{ type: Input, args: ['cdkComboboxPanel',] }],
+    valueChange: [{ type: Output, args: ['cdkListboxValueChange',] }],
+    options: [{ type: ContentChildren, args: [CdkOption, { descendants: true },] }]
+};
+/** Throws an error when multiple values are selected in a single-selection listbox. */
+function throwMultipleValuesError() {
+    throw Error('Listbox cannot have more than one selected value in single-selection mode.');
+}
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoibGlzdGJveC5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbIi4uLy4uLy4uLy4uLy4uLy4uL3NyYy9jZGsvbGlzdGJveC9saXN0Ym94LnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBOzs7Ozs7R0FNRztBQUVILE9BQU8sRUFBQywwQkFBMEIsRUFBc0MsTUFBTSxtQkFBbUIsQ0FBQztBQUNsRyxPQUFPLEVBQUMsY0FBYyxFQUFDLE1BQU0sbUJBQW1CLENBQUM7QUFDakQsT0FBTyxFQUFlLHFCQUFxQixFQUFDLE1BQU0sdUJBQXVCLENBQUM7QUFDMUUsT0FBTyxFQUFDLGNBQWMsRUFBQyxNQUFNLDBCQUEwQixDQUFDO0FBQ3hELE9BQU8sRUFDTCxDQUFDLEVBQ0QsVUFBVSxFQUNWLEdBQUcsRUFDSCxLQUFLLEVBQ0wsTUFBTSxFQUNOLGNBQWMsRUFDZCxJQUFJLEVBQ0osVUFBVSxFQUNWLFdBQVcsRUFDWCxLQUFLLEVBQ0wsR0FBRyxFQUNILFFBQVEsR0FDVCxNQUFNLHVCQUF1QixDQUFDO0FBQy9CLE9BQU8sRUFFTCxlQUFlLEVBQ2YsU0FBUyxFQUNULFVBQVUsRUFDVixZQUFZLEVBQ1osVUFBVSxFQUNWLE1BQU0sRUFDTixLQUFLLEVBRUwsUUFBUSxFQUNSLE1BQU0sRUFDTixTQUFTLEdBQ1YsTUFBTSxlQUFlLENBQUM7QUFDdkIsT0FBTyxFQUFDLE9BQU8sRUFBQyxNQUFNLE1BQU0sQ0FBQztBQUM3QixPQUFPLEVBQUMsU0FBUyxFQUFDLE1BQU0sZ0JBQWdCLENBQUM7QUFDekMsT0FBTyxFQUFDLGlCQUFpQixFQUFrQixNQUFNLGlCQUFpQixDQUFDO0FBRW5FLG1FQUFtRTtBQUNuRSxJQUFJLE1BQU0sR0FBRyxDQUFDLENBQUM7QUFZZix3Q0FBd0M7QUFnQnhDLE1BQU0sT0FBTyxTQUFTO0lBMkJwQixZQUNXLFdBQW9DO0lBQzdDLDBDQUEwQztJQUNLLE9BQXNCO1FBRjVELGdCQUFXLEdBQVgsV0FBVyxDQUF5QjtRQUVFLFlBQU8sR0FBUCxPQUFPLENBQWU7UUE3QnZFLCtCQUErQjtRQUN0QixPQUFFLEdBQVcsY0FBYyxNQUFNLEVBQUUsRUFBRSxDQUFDO1FBSy9DOzs7V0FHRztRQUMrQixtQkFBYyxHQUFrQixJQUFJLENBQUM7UUFRL0QsY0FBUyxHQUFHLEtBQUssQ0FBQztRQUUxQjs7O1dBR0c7UUFDSCxZQUFPLEdBQUcsS0FBSyxDQUFDO0lBSzBELENBQUM7SUFqQjNFLHNDQUFzQztJQUN0QyxJQUNJLFFBQVEsS0FBYyxPQUFPLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDO0lBQ2xELElBQUksUUFBUSxDQUFDLEtBQWM7UUFDekIsSUFBSSxDQUFDLFNBQVMsR0FBRyxxQkFBcUIsQ0FBQyxLQUFLLENBQUMsQ0FBQztJQUNoRCxDQUFDO0lBY0Qsc0NBQXNDO0lBQ3RDLFVBQVU7UUFDUixPQUFPLElBQUksQ0FBQyxPQUFPLENBQUMsZUFBZSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQztJQUNsRCxDQUFDO0lBRUQsa0VBQWtFO0lBQ2xFLFFBQVE7UUFDTixPQUFPLElBQUksQ0FBQyxPQUFPLENBQUM7SUFDdEIsQ0FBQztJQUVELDBCQUEwQjtJQUMxQixNQUFNO1FBQ0osSUFBSSxDQUFDLE9BQU8sQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDO0lBQ2xDLENBQUM7SUFFRCw0QkFBNEI7SUFDNUIsUUFBUTtRQUNOLElBQUksQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQztJQUNwQyxDQUFDO0lBRUQsZ0RBQWdEO0lBQ2hELE1BQU07UUFDSixJQUFJLENBQUMsT0FBTyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUM7SUFDbEMsQ0FBQztJQUVELHdGQUF3RjtJQUN4RixRQUFRO1FBQ04sSUFBSSxJQUFJLENBQUMsY0FBYyxFQUFFO1lBQ3ZCLE9BQU8sSUFBSSxDQUFDLGNBQWMsQ0FBQztTQUM1QjtRQUVELE1BQU0sV0FBVyxHQUFHLElBQUksQ0FBQyxXQUFXLENBQUMsYUFBYSxDQUFDLFdBQVcsQ0FBQztRQUMvRCxPQUFPLFdBQVcsQ0FBQyxDQUFDLENBQUMsV0FBVyxDQUFDLElBQUksRUFBRSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUM7SUFDL0MsQ0FBQztJQUVELGdFQUFnRTtJQUNoRSxlQUFlO1FBQ2IsSUFBSSxDQUFDLE9BQU8sR0FBRyxJQUFJLENBQUM7SUFDdEIsQ0FBQztJQUVELGdGQUFnRjtJQUNoRixpQkFBaUI7UUFDZixJQUFJLENBQUMsT0FBTyxHQUFHLEtBQUssQ0FBQztJQUN2QixDQUFDO0lBRUQ7OztPQUdHO0lBQ0gsc0JBQXNCO1FBQ3BCLE9BQU8sSUFBSSxDQUFDLE9BQU8sQ0FBQyxRQUFRLElBQUksSUFBSSxDQUFDLFFBQVEsQ0FBQztJQUNoRCxDQUFDO0lBRUQsb0NBQW9DO0lBQ3BDLFlBQVk7UUFDVixJQUFJLENBQUMsSUFBSSxDQUFDLHNCQUFzQixFQUFFLEVBQUU7WUFDbEMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxnQkFBZ0IsQ0FBQyxJQUFJLENBQUMsQ0FBQztZQUNwQyxJQUFJLENBQUMsT0FBTyxDQUFDLHFCQUFxQixDQUFDLElBQUksQ0FBQyxDQUFDO1NBQzFDO0lBQ0gsQ0FBQzs7O1lBMUdGLFNBQVMsU0FBQztnQkFDVCxRQUFRLEVBQUUsYUFBYTtnQkFDdkIsUUFBUSxFQUFFLFdBQVc7Z0JBQ3JCLElBQUksRUFBRTtvQkFDSixNQUFNLEVBQUUsUUFBUTtvQkFDaEIsT0FBTyxFQUFFLFlBQVk7b0JBQ3JCLE1BQU0sRUFBRSxJQUFJO29CQUNaLHNCQUFzQixFQUFFLGNBQWM7b0JBQ3RDLHNCQUFzQixFQUFFLDBCQUEwQjtvQkFDbEQsMkJBQTJCLEVBQUUsU0FBUztvQkFDdEMsNkJBQTZCLEVBQUUsY0FBYztvQkFDN0MsNkJBQTZCLEVBQUUsMEJBQTBCO29CQUN6RCxTQUFTLEVBQUUsZ0JBQWdCO2lCQUM1QjthQUNGOzs7WUExQ0MsVUFBVTtZQXlFZ0QsVUFBVSx1QkFBakUsTUFBTSxTQUFDLFVBQVUsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxVQUFVLENBQUM7OztpQkE1QnJDLEtBQUs7b0JBR0wsS0FBSyxTQUFDLFdBQVc7NkJBTWpCLEtBQUssU0FBQyx5QkFBeUI7dUJBRy9CLEtBQUssU0FBQyxtQkFBbUI7O0FBa0Y1Qjs7Ozs7R0FLRztBQWtCSCxNQUFNLE9BQU8sVUFBVTtJQXlFckIsWUFDbUIsV0FBb0MsRUFDeEIsSUFBcUIsRUFFN0Isc0JBQTJDO1FBSC9DLGdCQUFXLEdBQVgsV0FBVyxDQUF5QjtRQUN4QixTQUFJLEdBQUosSUFBSSxDQUFpQjtRQUU3QiwyQkFBc0IsR0FBdEIsc0JBQXNCLENBQXFCO1FBNUVsRSxnQ0FBZ0M7UUFDdkIsT0FBRSxHQUFXLGVBQWUsTUFBTSxFQUFFLEVBQUUsQ0FBQztRQXFCeEMsY0FBUyxHQUFHLEtBQUssQ0FBQztRQVFsQixjQUFTLEdBQUcsS0FBSyxDQUFDO1FBRTFCLDRDQUE0QztRQUNaLGdCQUFXLEdBQThCLFVBQVUsQ0FBQztRQUVwRiwyRUFBMkU7UUFDM0MsZ0JBQVcsR0FBOEIsQ0FBQyxFQUFFLEVBQUUsRUFBRSxFQUFFLEVBQUUsQ0FBQyxFQUFFLEtBQUssRUFBRSxDQUFDO1FBRS9GOzs7V0FHRztRQUN3QixrQkFBYSxHQUE4QixJQUFJLENBQUM7UUFFM0Usc0VBQXNFO1FBRTdELGdCQUFXLEdBQTZDLElBQUksWUFBWSxFQUFFLENBQUM7UUFLcEY7OztXQUdHO1FBQ2dCLG9CQUFlLEdBQUcsSUFBSSxjQUFjLENBQUksSUFBSSxDQUFDLENBQUM7UUFLakUsMkNBQTJDO1FBQzFCLGVBQVUsR0FBRyxJQUFJLE9BQU8sRUFBUSxDQUFDO1FBRWxELHNFQUFzRTtRQUM5RCxjQUFTLEdBQTZDLEdBQUcsRUFBRSxHQUFFLENBQUMsQ0FBQztRQUV2RTs7O1dBR0c7UUFDSCxlQUFVLEdBQWUsR0FBRyxFQUFFLEdBQUUsQ0FBQyxDQUFDO0lBTW1DLENBQUM7SUF6RXRFLCtDQUErQztJQUMvQyxJQUNJLEtBQUssS0FBbUIsT0FBTyxJQUFJLENBQUMsZUFBZSxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUM7SUFDbkUsSUFBSSxLQUFLLENBQUMsS0FBbUI7UUFDM0IsSUFBSSxDQUFDLGFBQWEsQ0FBQyxLQUFLLENBQUMsQ0FBQztJQUM1QixDQUFDO0lBRUQsa0VBQWtFO0lBQ2xFLElBQ0ksUUFBUSxLQUFjLE9BQU8sSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUM7SUFDbEQsSUFBSSxRQUFRLENBQUMsS0FBYztRQUN6QixJQUFJLENBQUMsU0FBUyxHQUFHLHFCQUFxQixDQUFDLEtBQUssQ0FBQyxDQUFDO1FBRTlDLHFGQUFxRjtRQUNyRix1RUFBdUU7UUFDdkUsSUFBSSxDQUFDLElBQUksQ0FBQyxTQUFTLElBQUksSUFBSSxDQUFDLGVBQWUsRUFBRTtZQUMzQyxJQUFJLENBQUMsZUFBZSxDQUFDLFFBQVEsQ0FBQyxHQUFHLElBQUksQ0FBQyxlQUFlLENBQUMsUUFBUSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO1NBQzFFO0lBQ0gsQ0FBQztJQUdELHVDQUF1QztJQUN2QyxJQUNJLFFBQVEsS0FBYyxPQUFPLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDO0lBQ2xELElBQUksUUFBUSxDQUFDLEtBQWM7UUFDekIsSUFBSSxDQUFDLFNBQVMsR0FBRyxxQkFBcUIsQ0FBQyxLQUFLLENBQUMsQ0FBQztJQUNoRCxDQUFDO0lBaURELGtCQUFrQjtRQUNoQixJQUFJLENBQUMsT0FBTyxTQUFTLEtBQUssV0FBVyxJQUFJLFNBQVMsQ0FBQztZQUMvQyxDQUFDLElBQUksQ0FBQyxRQUFRLElBQUksSUFBSSxDQUFDLEtBQUssQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFO1lBQzNDLHdCQUF3QixFQUFFLENBQUM7U0FDNUI7UUFFRCxJQUFJLENBQUMsZUFBZSxHQUFHLElBQUksMEJBQTBCLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQzthQUNoRSxRQUFRLEVBQUU7YUFDVixhQUFhLEVBQUU7YUFDZixjQUFjLEVBQUUsQ0FBQztRQUVwQixJQUFJLElBQUksQ0FBQyxXQUFXLEtBQUssWUFBWSxFQUFFO1lBQ3JDLElBQUksQ0FBQyxlQUFlO2lCQUNqQix1QkFBdUIsQ0FBQyxLQUFLLENBQUM7aUJBQzlCLHlCQUF5QixDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQztTQUNuRTtRQUVELElBQUksQ0FBQyxlQUFlLENBQUMsTUFBTTthQUN4QixJQUFJLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxVQUFVLENBQUMsQ0FBQzthQUNoQyxTQUFTLENBQUMsR0FBRyxFQUFFLENBQUMsSUFBSSxDQUFDLDJCQUEyQixFQUFFLENBQUMsQ0FBQztRQUV2RCxNQUFNLEtBQUssR0FBRyxJQUFJLENBQUMsaUJBQWlCLEVBQUUsQ0FBQztRQUV2QyxJQUFJLEtBQUssRUFBRTtZQUNULEtBQUssQ0FBQyxnQkFBZ0IsQ0FBQyxJQUFJLENBQUMsV0FBVyxDQUFDLGFBQWEsRUFBRSxJQUFJLENBQUMsRUFBRSxFQUFFLFNBQVMsQ0FBQyxDQUFDO1NBQzVFO0lBQ0gsQ0FBQztJQUVELFdBQVc7UUFDVCxNQUFNLEtBQUssR0FBRyxJQUFJLENBQUMsaUJBQWlCLEVBQUUsQ0FBQztRQUV2QyxJQUFJLEtBQUssRUFBRTtZQUNULEtBQUssQ0FBQyxrQkFBa0IsQ0FBQyxJQUFJLENBQUMsV0FBVyxDQUFDLGFBQWEsQ0FBQyxDQUFDO1NBQzFEO1FBRUQsSUFBSSxDQUFDLFVBQVUsQ0FBQyxJQUFJLEVBQUUsQ0FBQztRQUN2QixJQUFJLENBQUMsVUFBVSxDQUFDLFFBQVEsRUFBRSxDQUFDO0lBQzdCLENBQUM7SUFFRCxrREFBa0Q7SUFDbEQsZUFBZSxDQUFDLEtBQVE7UUFDdEIsT0FBTyxJQUFJLENBQUMsaUJBQWlCLENBQUMsS0FBSyxDQUFDLEtBQUssU0FBUyxDQUFDO0lBQ3JELENBQUM7SUFFRCw0RkFBNEY7SUFDNUYsTUFBTSxDQUFDLEtBQVE7UUFDYixJQUFJLENBQUMsSUFBSSxDQUFDLGVBQWUsQ0FBQyxLQUFLLENBQUMsRUFBRTtZQUNoQyxJQUFJLENBQUMsSUFBSSxDQUFDLFFBQVEsRUFBRTtnQkFDbEIsSUFBSSxDQUFDLGVBQWUsQ0FBQyxLQUFLLEVBQUUsQ0FBQzthQUM5QjtZQUVELElBQUksQ0FBQyxlQUFlLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDO1NBQ3BDO0lBQ0gsQ0FBQztJQUVELHlCQUF5QjtJQUN6QixRQUFRLENBQUMsS0FBUTtRQUNmLE1BQU0sYUFBYSxHQUFHLElBQUksQ0FBQyxpQkFBaUIsQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUVwRCxJQUFJLGFBQWEsS0FBSyxTQUFTLEVBQUU7WUFDL0IsSUFBSSxDQUFDLGVBQWUsQ0FBQyxRQUFRLENBQUMsYUFBYSxDQUFDLENBQUM7U0FDOUM7SUFDSCxDQUFDO0lBRUQsNkNBQTZDO0lBQzdDLE1BQU0sQ0FBQyxLQUFRO1FBQ2IsSUFBSSxDQUFDLGVBQWUsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQztJQUMxRSxDQUFDO0lBRUQsNEZBQTRGO0lBQzVGLFNBQVM7UUFDUCxJQUFJLElBQUksQ0FBQyxRQUFRLEVBQUU7WUFDakIsSUFBSSxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFDLEVBQUU7Z0JBQzVCLElBQUksQ0FBQyxNQUFNLENBQUMsUUFBUSxFQUFFO29CQUNwQixJQUFJLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQztpQkFDM0I7WUFDSCxDQUFDLENBQUMsQ0FBQztTQUNKO0lBQ0gsQ0FBQztJQUVELHlEQUF5RDtJQUN6RCxXQUFXO1FBQ1QsSUFBSSxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFDLEVBQUU7WUFDNUIsSUFBSSxDQUFDLE1BQU0sQ0FBQyxRQUFRLEVBQUU7Z0JBQ3BCLElBQUksQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDO2FBQzdCO1FBQ0gsQ0FBQyxDQUFDLENBQUM7SUFDTCxDQUFDO0lBRUQsa0NBQWtDO0lBQ2xDLEtBQUs7UUFDSCxJQUFJLENBQUMsV0FBVyxDQUFDLGFBQWEsQ0FBQyxLQUFLLEVBQUUsQ0FBQztJQUN6QyxDQUFDO0lBRUQ7OztPQUdHO0lBQ0gsVUFBVSxDQUFDLEtBQThCO1FBQ3ZDLElBQUksQ0FBQyxhQUFhLENBQUMsS0FBSyxDQUFDLENBQUM7SUFDNUIsQ0FBQztJQUVEOzs7T0FHRztJQUNILGdCQUFnQixDQUFDLEVBQTRDO1FBQzNELElBQUksQ0FBQyxTQUFTLEdBQUcsRUFBRSxDQUFDO0lBQ3RCLENBQUM7SUFFRDs7O09BR0c7SUFDSCxpQkFBaUIsQ0FBQyxFQUFZO1FBQzVCLElBQUksQ0FBQyxVQUFVLEdBQUcsRUFBRSxDQUFDO0lBQ3ZCLENBQUM7SUFFRDs7O09BR0c7SUFDSCxnQkFBZ0IsQ0FBQyxVQUFtQjtRQUNsQyxJQUFJLENBQUMsUUFBUSxHQUFHLFVBQVUsQ0FBQztJQUM3QixDQUFDO0lBRUQsd0NBQXdDO0lBQ3hDLFlBQVk7UUFDVixPQUFPLElBQUksQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ2xDLENBQUM7SUFFRCxnREFBZ0Q7SUFDaEQsd0JBQXdCO1FBQ3RCLE1BQU0sWUFBWSxHQUFHLElBQUksQ0FBQyxlQUFlLElBQUksSUFBSSxDQUFDLGVBQWUsQ0FBQyxVQUFVLENBQUM7UUFDN0UsT0FBTyxZQUFZLENBQUMsQ0FBQyxDQUFDLFlBQVksQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQztJQUMvQyxDQUFDO0lBRUQ7OztPQUdHO0lBQ0gsZ0JBQWdCLENBQUMsTUFBb0I7UUFDbkMsSUFBSSxDQUFDLGVBQWUsQ0FBQyxhQUFhLENBQUMsTUFBTSxDQUFDLENBQUM7SUFDN0MsQ0FBQztJQUVEOzs7T0FHRztJQUNILFlBQVk7UUFDVixNQUFNLFVBQVUsR0FBRyxJQUFJLENBQUMsZUFBZSxDQUFDO1FBRXhDLElBQUksVUFBVSxJQUFJLENBQUMsVUFBVSxDQUFDLFVBQVUsRUFBRTtZQUN4QyxNQUFNLGNBQWMsR0FBRyxJQUFJLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxVQUFVLEVBQUUsSUFBSSxDQUFDLE1BQU0sQ0FBQyxRQUFRLENBQUMsQ0FBQztZQUM1RixjQUFjLENBQUMsQ0FBQyxDQUFDLFVBQVUsQ0FBQyxhQUFhLENBQUMsY0FBYyxDQUFDLENBQUMsQ0FBQyxDQUFDLFVBQVUsQ0FBQyxrQkFBa0IsRUFBRSxDQUFDO1NBQzdGO0lBQ0gsQ0FBQztJQUVELDhDQUE4QztJQUM5QyxjQUFjLENBQUMsS0FBb0I7UUFDakMsTUFBTSxVQUFVLEdBQUcsSUFBSSxDQUFDLGVBQWUsQ0FBQztRQUV4QyxJQUFJLElBQUksQ0FBQyxRQUFRLElBQUksQ0FBQyxVQUFVLEVBQUU7WUFDaEMsT0FBTztTQUNSO1FBRUQsTUFBTSxPQUFPLEdBQUcsS0FBSyxDQUFDLE9BQU8sQ0FBQztRQUM5QixNQUFNLEtBQUssR0FBRyxJQUFJLENBQUMsaUJBQWlCLEVBQUUsQ0FBQztRQUV2QyxRQUFRLE9BQU8sRUFBRTtZQUNmLEtBQUssS0FBSyxDQUFDO1lBQ1gsS0FBSyxLQUFLO2dCQUNSLElBQUksQ0FBQyxjQUFjLENBQUMsS0FBSyxDQUFDLElBQUksVUFBVSxDQUFDLFVBQVUsRUFBRTtvQkFDbkQsS0FBSyxDQUFDLGNBQWMsRUFBRSxDQUFDO29CQUN2QixJQUFJLENBQUMscUJBQXFCLENBQUMsVUFBVSxDQUFDLFVBQVUsQ0FBQyxDQUFDO2lCQUNuRDtnQkFDRCxNQUFNO1lBRVIsS0FBSyxDQUFDO2dCQUNKLElBQUksSUFBSSxDQUFDLFFBQVEsSUFBSSxjQUFjLENBQUMsS0FBSyxFQUFFLFNBQVMsRUFBRSxTQUFTLENBQUM7b0JBQzVELENBQUMsY0FBYyxDQUFDLEtBQUssRUFBRSxRQUFRLEVBQUUsVUFBVSxDQUFDLEVBQUU7b0JBQ2hELEtBQUssQ0FBQyxjQUFjLEVBQUUsQ0FBQztvQkFDdkIsTUFBTSxjQUFjLEdBQUcsSUFBSSxDQUFDLE9BQU8sQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxRQUFRLENBQUMsQ0FBQztvQkFDdkUsTUFBTSxXQUFXLEdBQUcsY0FBYyxDQUFDLEtBQUssQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxVQUFVLEVBQUUsQ0FBQyxDQUFDO29CQUN4RSxXQUFXLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxXQUFXLEVBQUUsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLFNBQVMsRUFBRSxDQUFDO29CQUNwRCxJQUFJLENBQUMsZ0JBQWdCLENBQUMsSUFBSSxDQUFDLENBQUM7aUJBQzdCO3FCQUFNO29CQUNMLFVBQVUsQ0FBQyxTQUFTLENBQUMsS0FBSyxDQUFDLENBQUM7aUJBQzdCO2dCQUNELE1BQU07WUFFUixLQUFLLE1BQU0sQ0FBQztZQUNaLEtBQUssR0FBRztnQkFDTixnRUFBZ0U7Z0JBQ2hFLElBQUksS0FBSyxJQUFJLENBQUMsY0FBYyxDQUFDLEtBQUssQ0FBQyxFQUFFO29CQUNuQyxJQUFJLE9BQU8sS0FBSyxNQUFNLEVBQUU7d0JBQ3RCLEtBQUssQ0FBQyxjQUFjLEVBQUUsQ0FBQztxQkFDeEI7b0JBRUQsS0FBSyxDQUFDLFVBQVUsRUFBRSxDQUFDO2lCQUNwQjtnQkFDRCxNQUFNO1lBRVIsS0FBSyxRQUFRLENBQUM7WUFDZCxLQUFLLFVBQVUsQ0FBQztZQUNoQixLQUFLLFVBQVUsQ0FBQztZQUNoQixLQUFLLFdBQVcsQ0FBQztZQUNqQixLQUFLLElBQUksQ0FBQztZQUNWLEtBQUssR0FBRztnQkFDTixNQUFNLGtCQUFrQixHQUFHLFVBQVUsQ0FBQyxVQUFVLENBQUM7Z0JBQ2pELE1BQU0sZ0JBQWdCLEdBQUcsSUFBSSxDQUFDLFFBQVEsSUFBSSxjQUFjLENBQUMsS0FBSyxFQUFFLFVBQVUsQ0FBQztvQkFDbEQsQ0FBQyxjQUFjLENBQUMsS0FBSyxFQUFFLFNBQVMsRUFBRSxTQUFTLEVBQUUsUUFBUSxDQUFDLENBQUM7Z0JBRWhGLGdGQUFnRjtnQkFDaEYseUVBQXlFO2dCQUN6RSxJQUFJLGdCQUFnQixFQUFFO29CQUNwQixJQUFJLENBQUMsaUJBQWlCLENBQUMsS0FBSyxDQUFDLENBQUM7aUJBQy9CO3FCQUFNO29CQUNMLFVBQVUsQ0FBQyxTQUFTLENBQUMsS0FBSyxDQUFDLENBQUM7aUJBQzdCO2dCQUVELElBQUksZ0JBQWdCLElBQUksVUFBVSxDQUFDLFVBQVU7b0JBQ3pDLFVBQVUsQ0FBQyxVQUFVLEtBQUssa0JBQWtCLEVBQUU7b0JBQ2hELElBQUksQ0FBQyxxQkFBcUIsQ0FBQyxVQUFVLENBQUMsVUFBVSxFQUFFLFFBQVEsQ0FBQyxDQUFDO2lCQUM3RDtnQkFDRCxNQUFNO1lBRVI7Z0JBQ0UsVUFBVSxDQUFDLFNBQVMsQ0FBQyxLQUFLLENBQUMsQ0FBQztTQUMvQjtJQUNILENBQUM7SUFFRDs7OztPQUlHO0lBQ0gscUJBQXFCLENBQUMsTUFBb0IsRUFBRSxTQUE4QixRQUFRO1FBQ2hGLElBQUksTUFBTSxDQUFDLHNCQUFzQixFQUFFLEVBQUU7WUFDbkMsT0FBTztTQUNSO1FBRUQsTUFBTSxXQUFXLEdBQUcsTUFBTSxDQUFDLFVBQVUsRUFBRSxDQUFDO1FBRXhDLElBQUksSUFBSSxDQUFDLFFBQVEsSUFBSSxNQUFNLEtBQUssUUFBUSxFQUFFO1lBQ3hDLElBQUksQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDO1NBQzNCO2FBQU07WUFDTCxJQUFJLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQztTQUMzQjtRQUVELElBQUksV0FBVyxLQUFLLE1BQU0sQ0FBQyxVQUFVLEVBQUUsRUFBRTtZQUN2QyxJQUFJLENBQUMsZ0JBQWdCLENBQUMsTUFBTSxDQUFDLENBQUM7U0FDL0I7UUFFRCxNQUFNLEtBQUssR0FBRyxJQUFJLENBQUMsaUJBQWlCLEVBQUUsQ0FBQztRQUV2QyxJQUFJLEtBQUssRUFBRTtZQUNULGdFQUFnRTtZQUNoRSx3RUFBd0U7WUFDeEUsSUFBSSxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLFdBQVcsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLEtBQUssRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxVQUFVLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDO1NBQ3hGO0lBQ0gsQ0FBQztJQUVELHVFQUF1RTtJQUMvRCxpQkFBaUIsQ0FBQyxLQUFvQjtRQUM1QyxNQUFNLFVBQVUsR0FBRyxJQUFJLENBQUMsZUFBZSxDQUFDO1FBQ3hDLE1BQU0sT0FBTyxHQUFHLEtBQUssQ0FBQyxPQUFPLENBQUM7UUFDOUIsTUFBTSxZQUFZLEdBQUcsSUFBSSxDQUFDLFdBQVcsS0FBSyxZQUFZLENBQUM7UUFDdkQsTUFBTSxLQUFLLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLElBQUksSUFBSSxDQUFDLElBQUksQ0FBQyxLQUFLLEtBQUssS0FBSyxDQUFDO1FBRXZELElBQUksT0FBTyxLQUFLLElBQUksSUFBSSxPQUFPLEtBQUssR0FBRyxFQUFFO1lBQ3ZDLE9BQU8sS0FBSyxJQUFJLENBQUMsQ0FBQyxDQUFDLFVBQVUsQ0FBQyxrQkFBa0IsRUFBRSxDQUFDLENBQUMsQ0FBQyxVQUFVLENBQUMsaUJBQWlCLEVBQUUsQ0FBQztTQUNyRjthQUFNLElBQUksWUFBWSxDQUFDLENBQUMsQ0FBQyxDQUFDLE9BQU8sS0FBSyxVQUFVLElBQUksT0FBTyxLQUFLLFdBQVcsQ0FBQyxDQUFDLENBQUM7WUFDckQsQ0FBQyxPQUFPLEtBQUssUUFBUSxJQUFJLE9BQU8sS0FBSyxVQUFVLENBQUMsRUFBRTtZQUMxRSxNQUFNLE1BQU0sR0FBRyxZQUFZLENBQUMsQ0FBQyxDQUFDLENBQUMsT0FBTyxLQUFLLFdBQVcsQ0FBQyxLQUFLLEtBQUssQ0FBQyxDQUFDLENBQUMsT0FBTyxLQUFLLFVBQVUsQ0FBQztZQUMzRixNQUFNLENBQUMsQ0FBQyxDQUFDLFVBQVUsQ0FBQyxpQkFBaUIsRUFBRSxDQUFDLENBQUMsQ0FBQyxVQUFVLENBQUMscUJBQXFCLEVBQUUsQ0FBQztTQUM5RTthQUFNO1lBQ0wsT0FBTztTQUNSO1FBRUQsS0FBSyxDQUFDLGNBQWMsRUFBRSxDQUFDO0lBQ3pCLENBQUM7SUFFRCxpRkFBaUY7SUFDekUsZ0JBQWdCLENBQUMsTUFBMkI7UUFDbEQsTUFBTSxLQUFLLEdBQUcsSUFBSSxDQUFDLEtBQUssQ0FBQztRQUN6QixJQUFJLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxLQUFLLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUM7UUFDakYsSUFBSSxDQUFDLFdBQVcsQ0FBQyxJQUFJLENBQUMsRUFBQyxLQUFLLEVBQUUsT0FBTyxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUMsQ0FBQyxDQUFDO0lBQ3hELENBQUM7SUFFRCxtREFBbUQ7SUFDM0MsYUFBYSxDQUFDLEtBQThCO1FBQ2xELE1BQU0sTUFBTSxHQUFHLEtBQUssSUFBSSxJQUFJLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLENBQVEsQ0FBQztRQUVwRixJQUFJLENBQUMsT0FBTyxTQUFTLEtBQUssV0FBVyxJQUFJLFNBQVMsQ0FBQyxJQUFJLElBQUksQ0FBQyxlQUFlO1lBQ3ZFLENBQUMsSUFBSSxDQUFDLFFBQVEsSUFBSSxNQUFNLENBQUMsTUFBTSxHQUFHLENBQUMsRUFBRTtZQUN2Qyx3QkFBd0IsRUFBRSxDQUFDO1NBQzVCO1FBRUQsSUFBSSxDQUFDLGVBQWUsQ0FBQyxLQUFLLEVBQUUsQ0FBQztRQUM3QixNQUFNLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxFQUFFO1lBQ3ZCLElBQUksQ0FBQyxJQUFJLENBQUMsZUFBZSxDQUFDLE9BQU8sQ0FBQyxFQUFFO2dCQUNsQyxJQUFJLENBQUMsZUFBZSxDQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUMsQ0FBQzthQUN0QztRQUNILENBQUMsQ0FBQyxDQUFDO0lBQ0wsQ0FBQztJQUVELCtGQUErRjtJQUN2RixpQkFBaUIsQ0FBQyxLQUFRO1FBQ2hDLE1BQU0sUUFBUSxHQUFHLElBQUksQ0FBQyxlQUFlLENBQUMsUUFBUSxDQUFDO1FBRS9DLEtBQUssSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxRQUFRLENBQUMsTUFBTSxFQUFFLENBQUMsRUFBRSxFQUFFO1lBQ3hDLElBQUksSUFBSSxDQUFDLFdBQVcsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLEVBQUUsS0FBSyxDQUFDLEVBQUU7Z0JBQ3hDLE9BQU8sUUFBUSxDQUFDLENBQUMsQ0FBQyxDQUFDO2FBQ3BCO1NBQ0Y7UUFFRCxPQUFPLFNBQVMsQ0FBQztJQUNuQixDQUFDO0lBRUQsOEZBQThGO0lBQ3RGLDJCQUEyQjtRQUNqQyxNQUFNLFlBQVksR0FBRyxJQUFJLENBQUMsZUFBZSxDQUFDLFVBQVUsQ0FBQztRQUNyRCxNQUFNLE9BQU8sR0FBRyxZQUFZLElBQUksWUFBWSxDQUFDLFdBQVcsQ0FBQyxhQUFhLENBQUM7UUFFdkUsSUFBSSxPQUFPLElBQUksT0FBTyxDQUFDLGNBQWMsRUFBRTtZQUNyQyxPQUFPLENBQUMsY0FBYyxDQUFDLEVBQUMsS0FBSyxFQUFFLFNBQVMsRUFBRSxNQUFNLEVBQUUsU0FBUyxFQUFDLENBQUMsQ0FBQztTQUMvRDtJQUNILENBQUM7SUFFRCx1RUFBdUU7SUFDL0QsaUJBQWlCO1FBQ3ZCLE9BQU8sSUFBSSxDQUFDLHNCQUFzQixJQUFJLElBQUksQ0FBQyxhQUFhLENBQUM7SUFDM0QsQ0FBQzs7O1lBN2FGLFNBQVMsU0FBQztnQkFDVCxRQUFRLEVBQUUsY0FBYztnQkFDeEIsUUFBUSxFQUFFLFlBQVk7Z0JBQ3RCLElBQUksRUFBRTtvQkFDSixNQUFNLEVBQUUsU0FBUztvQkFDakIsT0FBTyxFQUFFLGFBQWE7b0JBQ3RCLE1BQU0sRUFBRSxJQUFJO29CQUNaLGlCQUFpQixFQUFFLGdCQUFnQjtvQkFDbkMsc0JBQXNCLEVBQUUsVUFBVTtvQkFDbEMsNkJBQTZCLEVBQUUsVUFBVTtvQkFDekMsOEJBQThCLEVBQUUsNEJBQTRCO29CQUM1RCx5QkFBeUIsRUFBRSxhQUFhO29CQUN4QyxTQUFTLEVBQUUsZ0JBQWdCO29CQUMzQixRQUFRLEVBQUUsY0FBYztvQkFDeEIsV0FBVyxFQUFFLHdCQUF3QjtpQkFDdEM7YUFDRjs7O1lBaktDLFVBQVU7WUFyQkosY0FBYyx1QkFrUWpCLFFBQVE7NENBQ1IsUUFBUSxZQUFJLE1BQU0sU0FBQyxpQkFBaUI7OztpQkExRXRDLEtBQUs7b0JBR0wsS0FBSyxTQUFDLGlCQUFpQjt1QkFPdkIsS0FBSyxTQUFDLG9CQUFvQjt1QkFjMUIsS0FBSyxTQUFDLG9CQUFvQjswQkFRMUIsS0FBSyxTQUFDLHVCQUF1QjswQkFHN0IsS0FBSyxTQUFDLHVCQUF1Qjs0QkFNN0IsS0FBSyxTQUFDLGtCQUFrQjswQkFHeEIsTUFBTSxTQUFDLHVCQUF1QjtzQkFJOUIsZUFBZSxTQUFDLFNBQVMsRUFBRSxFQUFDLFdBQVcsRUFBRSxJQUFJLEVBQUM7O0FBZ1hqRCx1RkFBdUY7QUFDdkYsU0FBUyx3QkFBd0I7SUFDL0IsTUFBTSxLQUFLLENBQUMsNEVBQTRFLENBQUMsQ0FBQztBQUM1RixDQUFDIiwic291cmNlc0NvbnRlbnQiOlsiLyoqXG4gKiBAbGljZW5zZVxuICogQ29weXJpZ2h0IEdvb2dsZSBMTEMgQWxsIFJpZ2h0cyBSZXNlcnZlZC5cbiAqXG4gKiBVc2Ugb2YgdGhpcyBzb3VyY2UgY29kZSBpcyBnb3Zlcm5lZCBieSBhbiBNSVQtc3R5bGUgbGljZW5zZSB0aGF0IGNhbiBiZVxuICogZm91bmQgaW4gdGhlIExJQ0VOU0UgZmlsZSBhdCBodHRwczovL2FuZ3VsYXIuaW8vbGljZW5zZVxuICovXG5cbmltcG9ydCB7QWN0aXZlRGVzY2VuZGFudEtleU1hbmFnZXIsIEhpZ2hsaWdodGFibGUsIExpc3RLZXlNYW5hZ2VyT3B0aW9ufSBmcm9tICdAYW5ndWxhci9jZGsvYTExeSc7XG5pbXBvcnQge0RpcmVjdGlvbmFsaXR5fSBmcm9tICdAYW5ndWxhci9jZGsvYmlkaSc7XG5pbXBvcnQge0Jvb2xlYW5JbnB1dCwgY29lcmNlQm9vbGVhblByb3BlcnR5fSBmcm9tICdAYW5ndWxhci9jZGsvY29lcmNpb24nO1xuaW1wb3J0IHtTZWxlY3Rpb25Nb2RlbH0gZnJvbSAnQGFuZ3VsYXIvY2RrL2NvbGxlY3Rpb25zJztcbmltcG9ydCB7XG4gIEEsXG4gIERPV05fQVJST1csXG4gIEVORCxcbiAgRU5URVIsXG4gIEVTQ0FQRSxcbiAgaGFzTW9kaWZpZXJLZXksXG4gIEhPTUUsXG4gIExFRlRfQVJST1csXG4gIFJJR0hUX0FSUk9XLFxuICBTUEFDRSxcbiAgVEFCLFxuICBVUF9BUlJPVyxcbn0gZnJvbSAnQGFuZ3VsYXIvY2RrL2tleWNvZGVzJztcbmltcG9ydCB7XG4gIEFmdGVyQ29udGVudEluaXQsXG4gIENvbnRlbnRDaGlsZHJlbixcbiAgRGlyZWN0aXZlLFxuICBFbGVtZW50UmVmLFxuICBFdmVudEVtaXR0ZXIsXG4gIGZvcndhcmRSZWYsXG4gIEluamVjdCxcbiAgSW5wdXQsXG4gIE9uRGVzdHJveSxcbiAgT3B0aW9uYWwsXG4gIE91dHB1dCxcbiAgUXVlcnlMaXN0LFxufSBmcm9tICdAYW5ndWxhci9jb3JlJztcbmltcG9ydCB7U3ViamVjdH0gZnJvbSAncnhqcyc7XG5pbXBvcnQge3Rha2VVbnRpbH0gZnJvbSAncnhqcy9vcGVyYXRvcnMnO1xuaW1wb3J0IHtDREtfTElTVEJPWF9QQU5FTCwgQ2RrTGlzdGJveFBhbmVsfSBmcm9tICcuL2xpc3Rib3gtcGFuZWwnO1xuXG4vKiogQ291bnRlciB1c2VkIHRvIGNyZWF0ZSB1bmlxdWUgSURzIGZvciBsaXN0Ym94ZXMgYW5kIG9wdGlvbnMuICovXG5sZXQgbmV4dElkID0gMDtcblxuLyoqIEV2ZW50IHRoYXQgaXMgZW1pdHRlZCB3aGVuIHRoZSB1c2VyIGNoYW5nZXMgdGhlIHZhbHVlIG9mIGEgbGlzdGJveC4gKi9cbmV4cG9ydCBpbnRlcmZhY2UgTGlzdGJveFZhbHVlQ2hhbmdlRXZlbnQ8VD4ge1xuICAvKiogVmFsdWVzIHRoYXQgYXJlIHNlbGVjdGVkIGluIHRoZSBsaXN0Ym94IGFmdGVyIHRoZSBjaGFuZ2UuICovXG4gIHJlYWRvbmx5IHZhbHVlOiByZWFkb25seSBUW107XG4gIC8qKiBMaXN0Ym94IHdob3NlIHZhbHVlIGNoYW5nZWQuICovXG4gIHJlYWRvbmx5IGxpc3Rib3g6IENka0xpc3Rib3g8VD47XG4gIC8qKiBPcHRpb24gdGhhdCB3YXMgaW50ZXJhY3RlZCB3aXRoLCBpZiBhbnkuICovXG4gIHJlYWRvbmx5IG9wdGlvbjogQ2RrT3B0aW9uPFQ+IHwgbnVsbDtcbn1cblxuLyoqIEEgc2VsZWN0YWJsZSBvcHRpb24gaW4gYSBsaXN0Ym94LiAqL1xuQERpcmVjdGl2ZSh7XG4gIHNlbGVjdG9yOiAnW2Nka09wdGlvbl0nLFxuICBleHBvcnRBczogJ2Nka09wdGlvbicsXG4gIGhvc3Q6IHtcbiAgICAncm9sZSc6ICdvcHRpb24nLFxuICAgICdjbGFzcyc6ICdjZGstb3B0aW9uJyxcbiAgICAnW2lkXSc6ICdpZCcsXG4gICAgJ1thdHRyLmFyaWEtc2VsZWN0ZWRdJzogJ2lzU2VsZWN0ZWQoKScsXG4gICAgJ1thdHRyLmFyaWEtZGlzYWJsZWRdJzogJ19pc0ludGVyYWN0aW9uRGlzYWJsZWQoKScsXG4gICAgJ1tjbGFzcy5jZGstb3B0aW9uLWFjdGl2ZV0nOiAnX2FjdGl2ZScsXG4gICAgJ1tjbGFzcy5jZGstb3B0aW9uLXNlbGVjdGVkXSc6ICdpc1NlbGVjdGVkKCknLFxuICAgICdbY2xhc3MuY2RrLW9wdGlvbi1kaXNhYmxlZF0nOiAnX2lzSW50ZXJhY3Rpb25EaXNhYmxlZCgpJyxcbiAgICAnKGNsaWNrKSc6ICdfaGFuZGxlQ2xpY2soKScsXG4gIH0sXG59KVxuZXhwb3J0IGNsYXNzIENka09wdGlvbjxUID0gdW5rbm93bj4gaW1wbGVtZW50cyBMaXN0S2V5TWFuYWdlck9wdGlvbiwgSGlnaGxpZ2h0YWJsZSB7XG4gIC8qKiBVbmlxdWUgSUQgb2YgdGhlIG9wdGlvbi4gKi9cbiAgQElucHV0KCkgaWQ6IHN0cmluZyA9IGBjZGstb3B0aW9uLSR7bmV4dElkKyt9YDtcblxuICAvKiogVmFsdWUgb2YgdGhlIG9wdGlvbi4gKi9cbiAgQElucHV0KCdjZGtPcHRpb24nKSB2YWx1ZTogVDtcblxuICAvKipcbiAgICogVGhlIHRleHQgdXNlZCB0byBsb2NhdGUgdGhpcyBpdGVtIGR1cmluZyBsaXN0Ym94IHR5cGVhaGVhZC4gSWYgbm90IHNwZWNpZmllZCxcbiAgICogdGhlIGB0ZXh0Q29udGVudGAgb2YgdGhlIG9wdGlvbiB3aWxsIGJlIHVzZWQuXG4gICAqL1xuICBASW5wdXQoJ2Nka09wdGlvblR5cGVhaGVhZExhYmVsJykgdHlwZWFoZWFkTGFiZWw6IHN0cmluZyB8IG51bGwgPSBudWxsO1xuXG4gIC8qKiBXaGV0aGVyIHRoZSBvcHRpb24gaXMgZGlzYWJsZWQuICovXG4gIEBJbnB1dCgnY2RrT3B0aW9uRGlzYWJsZWQnKVxuICBnZXQgZGlzYWJsZWQoKTogYm9vbGVhbiB7IHJldHVybiB0aGlzLl9kaXNhYmxlZDsgfVxuICBzZXQgZGlzYWJsZWQodmFsdWU6IGJvb2xlYW4pIHtcbiAgICB0aGlzLl9kaXNhYmxlZCA9IGNvZXJjZUJvb2xlYW5Qcm9wZXJ0eSh2YWx1ZSk7XG4gIH1cbiAgcHJpdmF0ZSBfZGlzYWJsZWQgPSBmYWxzZTtcblxuICAvKipcbiAgICogV2hldGhlciB0aGUgb3B0aW9uIGlzIHRoZSBhY3RpdmUgZGVzY2VuZGFudCBvZiB0aGUgbGlzdGJveC5cbiAgICogQGRvY3MtcHJpdmF0ZVxuICAgKi9cbiAgX2FjdGl2ZSA9IGZhbHNlO1xuXG4gIGNvbnN0cnVjdG9yKFxuICAgIHJlYWRvbmx5IF9lbGVtZW50UmVmOiBFbGVtZW50UmVmPEhUTUxFbGVtZW50PixcbiAgICAvKiogTGlzdGJveCB0aGF0IHRoZSBvcHRpb24gYmVsb25ncyB0by4gKi9cbiAgICBASW5qZWN0KGZvcndhcmRSZWYoKCkgPT4gQ2RrTGlzdGJveCkpIHJlYWRvbmx5IGxpc3Rib3g6IENka0xpc3Rib3g8VD4pIHt9XG5cbiAgLyoqIFdoZXRoZXIgdGhlIG9wdGlvbiBpcyBzZWxlY3RlZC4gKi9cbiAgaXNTZWxlY3RlZCgpOiBib29sZWFuIHtcbiAgICByZXR1cm4gdGhpcy5saXN0Ym94LmlzVmFsdWVTZWxlY3RlZCh0aGlzLnZhbHVlKTtcbiAgfVxuXG4gIC8qKiBXaGV0aGVyIHRoZSBvcHRpb24gaXMgdGhlIGFjdGl2ZSBkZXNjZW5kYW50IG9mIHRoZSBsaXN0Ym94LiAqL1xuICBpc0FjdGl2ZSgpOiBib29sZWFuIHtcbiAgICByZXR1cm4gdGhpcy5fYWN0aXZlO1xuICB9XG5cbiAgLyoqIFNlbGVjdHMgdGhlIG9wdGlvbi4gKi9cbiAgc2VsZWN0KCkge1xuICAgIHRoaXMubGlzdGJveC5zZWxlY3QodGhpcy52YWx1ZSk7XG4gIH1cblxuICAvKiogRGVzZWxlY3RzIHRoZSBvcHRpb24uICovXG4gIGRlc2VsZWN0KCkge1xuICAgIHRoaXMubGlzdGJveC5kZXNlbGVjdCh0aGlzLnZhbHVlKTtcbiAgfVxuXG4gIC8qKiBUb2dnbGVzIHRoZSBzZWxlY3RlZCBzdGF0ZSBvZiB0aGUgb3B0aW9uLiAqL1xuICB0b2dnbGUoKSB7XG4gICAgdGhpcy5saXN0Ym94LnRvZ2dsZSh0aGlzLnZhbHVlKTtcbiAgfVxuXG4gIC8qKiBHZXRzIHRoZSBsYWJlbCB0aGF0IGlzIHVzZWQgZm9yIHR5cGVhaGVhZCwgYXMgcmVxdWlyZWQgYnkgYExpc3RLZXlNYW5hZ2VyT3B0aW9uYC4gKi9cbiAgZ2V0TGFiZWwoKTogc3RyaW5nIHtcbiAgICBpZiAodGhpcy50eXBlYWhlYWRMYWJlbCkge1xuICAgICAgcmV0dXJuIHRoaXMudHlwZWFoZWFkTGFiZWw7XG4gICAgfVxuXG4gICAgY29uc3QgdGV4dENvbnRlbnQgPSB0aGlzLl9lbGVtZW50UmVmLm5hdGl2ZUVsZW1lbnQudGV4dENvbnRlbnQ7XG4gICAgcmV0dXJuIHRleHRDb250ZW50ID8gdGV4dENvbnRlbnQudHJpbSgpIDogJyc7XG4gIH1cblxuICAvKiogTWFya3MgdGhlIG9wdGlvbiBhcyB0aGUgYWN0aXZlIGRlc2NlbmRhbnQgb2YgdGhlIGxpc3Rib3guICovXG4gIHNldEFjdGl2ZVN0eWxlcygpIHtcbiAgICB0aGlzLl9hY3RpdmUgPSB0cnVlO1xuICB9XG5cbiAgLyoqIE1hcmtzIHRoZSBvcHRpb24gYXMgbm8gbG9uZ2VyIGJlaW5nIHRoZSBhY3RpdmUgZGVzY2VuZGFudCBvZiB0aGUgbGlzdGJveC4gKi9cbiAgc2V0SW5hY3RpdmVTdHlsZXMoKSB7XG4gICAgdGhpcy5fYWN0aXZlID0gZmFsc2U7XG4gIH1cblxuICAvKipcbiAgICogV2hldGhlciB0aGUgdXNlciBzaG91bGRuJ3QgYmUgYWJsZSB0byBpbnRlcmFjdCB3aXRoIHRoZSBvcHRpb24uXG4gICAqIEBkb2NzLXByaXZhdGVcbiAgICovXG4gIF9pc0ludGVyYWN0aW9uRGlzYWJsZWQoKTogYm9vbGVhbiB7XG4gICAgcmV0dXJuIHRoaXMubGlzdGJveC5kaXNhYmxlZCB8fCB0aGlzLmRpc2FibGVkO1xuICB9XG5cbiAgLyoqIEhhbmRsZXMgY2xpY2tzIG9uIHRoZSBvcHRpb24uICovXG4gIF9oYW5kbGVDbGljaygpIHtcbiAgICBpZiAoIXRoaXMuX2lzSW50ZXJhY3Rpb25EaXNhYmxlZCgpKSB7XG4gICAgICB0aGlzLmxpc3Rib3guX3NldEFjdGl2ZU9wdGlvbih0aGlzKTtcbiAgICAgIHRoaXMubGlzdGJveC5fc2VsZWN0T3B0aW9uRnJvbVVzZXIodGhpcyk7XG4gICAgfVxuICB9XG5cbiAgc3RhdGljIG5nQWNjZXB0SW5wdXRUeXBlX2Rpc2FibGVkOiBCb29sZWFuSW5wdXQ7XG59XG5cbi8qKlxuICogQSBsaXN0Ym94IHdoaWNoIGFsbG93cyB0aGUgdXNlciB0byBzZWxlY3Qgb25lIG9yIG1vcmUgb3B0aW9ucy4gVGhlIGxpc3Rib3ggaXMgZm9jdXNlZCBhcyBhXG4gKiB3aG9sZSBhbmQgaW5kaWNhdGVzIHRoZSBhY3RpdmUgb3B0aW9uIHRocm91Z2ggYGFyaWEtYWN0aXZlZGVzY2VuZGFudGAuIFRoZSBzZWxlY3RlZCB2YWx1ZXNcbiAqIGFyZSBrZXB0IGluIGEgYFNlbGVjdGlvbk1vZGVsYCBhbmQgY2FuIGJlIGJvdW5kIHRocm91Z2ggQW5ndWxhciBmb3JtcyBieSBpbXBvcnRpbmcgdGhlXG4gKiBgQ2RrTGlzdGJveEZvcm1zTW9kdWxlYCBmcm9tIGBAYW5ndWxhci9jZGsvbGlzdGJveC9mb3Jtc2AuXG4gKi9cbkBEaXJlY3RpdmUoe1xuICBzZWxlY3RvcjogJ1tjZGtMaXN0Ym94XScsXG4gIGV4cG9ydEFzOiAnY2RrTGlzdGJveCcsXG4gIGhvc3Q6IHtcbiAgICAncm9sZSc6ICdsaXN0Ym94JyxcbiAgICAnY2xhc3MnOiAnY2RrLWxpc3Rib3gnLFxuICAgICdbaWRdJzogJ2lkJyxcbiAgICAnW2F0dHIudGFiaW5kZXhdJzogJ19nZXRUYWJJbmRleCgpJyxcbiAgICAnW2F0dHIuYXJpYS1kaXNhYmxlZF0nOiAnZGlzYWJsZWQnLFxuICAgICdbYXR0ci5hcmlhLW11bHRpc2VsZWN0YWJsZV0nOiAnbXVsdGlwbGUnLFxuICAgICdbYXR0ci5hcmlhLWFjdGl2ZWRlc2NlbmRhbnRdJzogJ19nZXRBcmlhQWN0aXZlRGVzY2VuZGFudCgpJyxcbiAgICAnW2F0dHIuYXJpYS1vcmllbnRhdGlvbl0nOiAnb3JpZW50YXRpb24nLFxuICAgICcoZm9jdXMpJzogJ19oYW5kbGVGb2N1cygpJyxcbiAgICAnKGJsdXIpJzogJ19vblRvdWNoZWQoKScsXG4gICAgJyhrZXlkb3duKSc6ICdfaGFuZGxlS2V5ZG93bigkZXZlbnQpJyxcbiAgfSxcbn0pXG5leHBvcnQgY2xhc3MgQ2RrTGlzdGJveDxUID0gdW5rbm93bj4gaW1wbGVtZW50cyBBZnRlckNvbnRlbnRJbml0LCBPbkRlc3Ryb3kge1xuICAvKiogVW5pcXVlIElEIG9mIHRoZSBsaXN0Ym94LiAqL1xuICBASW5wdXQoKSBpZDogc3RyaW5nID0gYGNkay1saXN0Ym94LSR7bmV4dElkKyt9YDtcblxuICAvKiogVmFsdWVzIHRoYXQgYXJlIHNlbGVjdGVkIGluIHRoZSBsaXN0Ym94LiAqL1xuICBASW5wdXQoJ2Nka0xpc3Rib3hWYWx1ZScpXG4gIGdldCB2YWx1ZSgpOiByZWFkb25seSBUW10geyByZXR1cm4gdGhpcy5fc2VsZWN0aW9uTW9kZWwuc2VsZWN0ZWQ7IH1cbiAgc2V0IHZhbHVlKHZhbHVlOiByZWFkb25seSBUW10pIHtcbiAgICB0aGlzLl9zZXRTZWxlY3Rpb24odmFsdWUpO1xuICB9XG5cbiAgLyoqIFdoZXRoZXIgdGhlIGxpc3Rib3ggYWxsb3dzIG11bHRpcGxlIG9wdGlvbnMgdG8gYmUgc2VsZWN0ZWQuICovXG4gIEBJbnB1dCgnY2RrTGlzdGJveE11bHRpcGxlJylcbiAgZ2V0IG11bHRpcGxlKCk6IGJvb2xlYW4geyByZXR1cm4gdGhpcy5fbXVsdGlwbGU7IH1cbiAgc2V0IG11bHRpcGxlKHZhbHVlOiBib29sZWFuKSB7XG4gICAgdGhpcy5fbXVsdGlwbGUgPSBjb2VyY2VCb29sZWFuUHJvcGVydHkodmFsdWUpO1xuXG4gICAgLy8gT25seSBrZWVwIHRoZSBmaXJzdCB2YWx1ZSB3aGVuIHN3aXRjaGluZyB0byBzaW5nbGUgc2VsZWN0aW9uIGFmdGVyIGluaXRpYWxpemF0aW9uLlxuICAgIC8vIEJlZm9yZSB0aGF0IHRoZSB2YWx1ZSBtYXkgaGF2ZSBiZWVuIHNldCBiZWZvcmUgdGhlIGBtdWx0aXBsZWAgaW5wdXQuXG4gICAgaWYgKCF0aGlzLl9tdWx0aXBsZSAmJiB0aGlzLl9saXN0S2V5TWFuYWdlcikge1xuICAgICAgdGhpcy5fc2VsZWN0aW9uTW9kZWwuZGVzZWxlY3QoLi4udGhpcy5fc2VsZWN0aW9uTW9kZWwuc2VsZWN0ZWQuc2xpY2UoMSkpO1xuICAgIH1cbiAgfVxuICBwcml2YXRlIF9tdWx0aXBsZSA9IGZhbHNlO1xuXG4gIC8qKiBXaGV0aGVyIHRoZSBsaXN0Ym94IGlzIGRpc2FibGVkLiAqL1xuICBASW5wdXQoJ2Nka0xpc3Rib3hEaXNhYmxlZCcpXG4gIGdldCBkaXNhYmxlZCgpOiBib29sZWFuIHsgcmV0dXJuIHRoaXMuX2Rpc2FibGVkOyB9XG4gIHNldCBkaXNhYmxlZCh2YWx1ZTogYm9vbGVhbikge1xuICAgIHRoaXMuX2Rpc2FibGVkID0gY29lcmNlQm9vbGVhblByb3BlcnR5KHZhbHVlKTtcbiAgfVxuICBwcml2YXRlIF9kaXNhYmxlZCA9IGZhbHNlO1xuXG4gIC8qKiBPcmllbnRhdGlvbiBvZiB0aGUgbGlzdGJveCdzIG9wdGlvbnMuICovXG4gIEBJbnB1dCgnY2RrTGlzdGJveE9yaWVudGF0aW9uJykgb3JpZW50YXRpb246ICdob3Jpem9udGFsJyB8ICd2ZXJ0aWNhbCcgPSAndmVydGljYWwnO1xuXG4gIC8qKiBGdW5jdGlvbiB1c2VkIHRvIGNvbXBhcmUgYW4gb3B0aW9uJ3MgdmFsdWUgd2l0aCB0aGUgc2VsZWN0ZWQgdmFsdWVzLiAqL1xuICBASW5wdXQoJ2Nka0xpc3Rib3hDb21wYXJlV2l0aCcpIGNvbXBhcmVXaXRoOiAobzE6IFQsIG8yOiBUKSA9PiBib29sZWFuID0gKGExLCBhMikgPT4gYTEgPT09IGEyO1xuXG4gIC8qKlxuICAgKiBDb21ib2JveCBwYW5lbCB0aGF0IHRoZSBsaXN0Ym94IGlzIHJlbmRlcmVkIGluLiBPbmx5IGhhcyB0byBiZSBzZXQgaWYgdGhlIHBhbmVsXG4gICAqIGNhbid0IGJlIGluamVjdGVkLCBlLmcuIHdoZW4gdGhlIGFwcCBpcyB1c2luZyBWaWV3IEVuZ2luZS5cbiAgICovXG4gIEBJbnB1dCgnY2RrQ29tYm9ib3hQYW5lbCcpIGNvbWJvYm94UGFuZWw6IENka0xpc3Rib3hQYW5lbDxUPiB8IG51bGwgPSBudWxsO1xuXG4gIC8qKiBFbWl0cyB3aGVuIHRoZSB1c2VyIGNoYW5nZXMgdGhlIHNlbGVjdGVkIHZhbHVlcyBvZiB0aGUgbGlzdGJveC4gKi9cbiAgQE91dHB1dCgnY2RrTGlzdGJveFZhbHVlQ2hhbmdlJylcbiAgcmVhZG9ubHkgdmFsdWVDaGFuZ2U6IEV2ZW50RW1pdHRlcjxMaXN0Ym94VmFsdWVDaGFuZ2VFdmVudDxUPj4gPSBuZXcgRXZlbnRFbWl0dGVyKCk7XG5cbiAgLyoqIFRoZSBvcHRpb25zIGluIHRoZSBsaXN0Ym94LiAqL1xuICBAQ29udGVudENoaWxkcmVuKENka09wdGlvbiwge2Rlc2NlbmRhbnRzOiB0cnVlfSkgb3B0aW9uczogUXVlcnlMaXN0PENka09wdGlvbjxUPj47XG5cbiAgLyoqXG4gICAqIEtlZXBzIHRyYWNrIG9mIHRoZSB2YWx1ZXMgdGhhdCBhcmUgc2VsZWN0ZWQgaW4gdGhlIGxpc3Rib3guIFRoZSBtb2RlbCBhbHdheXMgYWxsb3dzIG11bHRpcGxlXG4gICAqIHZhbHVlcyBzaW5jZSB0aGUgaW5wdXRzIGNhbiBiZSBzZXQgaW4gYW55IG9yZGVyLiBTaW5nbGUgc2VsZWN0aW9uIGlzIGVuZm9yY2VkIGJ5IHRoZSBsaXN0Ym94LlxuICAgKi9cbiAgcHJvdGVjdGVkIHJlYWRvbmx5IF9zZWxlY3Rpb25Nb2RlbCA9IG5ldyBTZWxlY3Rpb25Nb2RlbDxUPih0cnVlKTtcblxuICAvKiogTWFuYWdlcyB0aGUgYWN0aXZlIG9wdGlvbiBvZiB0aGUgbGlzdGJveC4gKi9cbiAgcHJvdGVjdGVkIF9saXN0S2V5TWFuYWdlcjogQWN0aXZlRGVzY2VuZGFudEtleU1hbmFnZXI8Q2RrT3B0aW9uPFQ+PjtcblxuICAvKiogRW1pdHMgd2hlbiB0aGUgbGlzdGJveCBpcyBkZXN0cm95ZWQuICovXG4gIHByaXZhdGUgcmVhZG9ubHkgX2Rlc3Ryb3llZCA9IG5ldyBTdWJqZWN0PHZvaWQ+KCk7XG5cbiAgLyoqIENhbGxiYWNrIHRoYXQgaXMgaW52b2tlZCB3aGVuIHRoZSB2YWx1ZSBvZiB0aGUgbGlzdGJveCBjaGFuZ2VzLiAqL1xuICBwcml2YXRlIF9vbkNoYW5nZTogKHZhbHVlOiBUIHwgcmVhZG9ubHkgVFtdIHwgbnVsbCkgPT4gdm9pZCA9ICgpID0+IHt9O1xuXG4gIC8qKlxuICAgKiBDYWxsYmFjayB0aGF0IGlzIGludm9rZWQgd2hlbiB0aGUgbGlzdGJveCBpcyBibHVycmVkLlxuICAgKiBAZG9jcy1wcml2YXRlXG4gICAqL1xuICBfb25Ub3VjaGVkOiAoKSA9PiB2b2lkID0gKCkgPT4ge307XG5cbiAgY29uc3RydWN0b3IoXG4gICAgcHJpdmF0ZSByZWFkb25seSBfZWxlbWVudFJlZjogRWxlbWVudFJlZjxIVE1MRWxlbWVudD4sXG4gICAgQE9wdGlvbmFsKCkgcHJpdmF0ZSByZWFkb25seSBfZGlyPzogRGlyZWN0aW9uYWxpdHksXG4gICAgQE9wdGlvbmFsKCkgQEluamVjdChDREtfTElTVEJPWF9QQU5FTClcbiAgICAgICAgcHJpdmF0ZSByZWFkb25seSBfaW5qZWN0ZWRDb21ib2JveFBhbmVsPzogQ2RrTGlzdGJveFBhbmVsPFQ+KSB7fVxuXG4gIG5nQWZ0ZXJDb250ZW50SW5pdCgpIHtcbiAgICBpZiAoKHR5cGVvZiBuZ0Rldk1vZGUgPT09ICd1bmRlZmluZWQnIHx8IG5nRGV2TW9kZSkgJiZcbiAgICAgICAgIXRoaXMubXVsdGlwbGUgJiYgdGhpcy52YWx1ZS5sZW5ndGggPiAxKSB7XG4gICAgICB0aHJvd011bHRpcGxlVmFsdWVzRXJyb3IoKTtcbiAgICB9XG5cbiAgICB0aGlzLl9saXN0S2V5TWFuYWdlciA9IG5ldyBBY3RpdmVEZXNjZW5kYW50S2V5TWFuYWdlcih0aGlzLm9wdGlvbnMpXG4gICAgICAud2l0aFdyYXAoKVxuICAgICAgLndpdGhUeXBlQWhlYWQoKVxuICAgICAgLndpdGhIb21lQW5kRW5kKCk7XG5cbiAgICBpZiAodGhpcy5vcmllbnRhdGlvbiA9PT0gJ2hvcml6b250YWwnKSB7XG4gICAgICB0aGlzLl9saXN0S2V5TWFuYWdlclxuICAgICAgICAud2l0aFZlcnRpY2FsT3JpZW50YXRpb24oZmFsc2UpXG4gICAgICAgIC53aXRoSG9yaXpvbnRhbE9yaWVudGF0aW9uKHRoaXMuX2RpciA/IHRoaXMuX2Rpci52YWx1ZSA6ICdsdHInKTtcbiAgICB9XG5cbiAgICB0aGlzLl9saXN0S2V5TWFuYWdlci5jaGFuZ2VcbiAgICAgIC5waXBlKHRha2VVbnRpbCh0aGlzLl9kZXN0cm95ZWQpKVxuICAgICAgLnN1YnNjcmliZSgoKSA9PiB0aGlzLl9zY3JvbGxBY3RpdmVPcHRpb25JbnRvVmlldygpKTtcblxuICAgIGNvbnN0IHBhbmVsID0gdGhpcy5fZ2V0Q29tYm9ib3hQYW5lbCgpO1xuXG4gICAgaWYgKHBhbmVsKSB7XG4gICAgICBwYW5lbC5fcmVnaXN0ZXJDb250ZW50KHRoaXMuX2VsZW1lbnRSZWYubmF0aXZlRWxlbWVudCwgdGhpcy5pZCwgJ2xpc3Rib3gnKTtcbiAgICB9XG4gIH1cblxuICBuZ09uRGVzdHJveSgpIHtcbiAgICBjb25zdCBwYW5lbCA9IHRoaXMuX2dldENvbWJvYm94UGFuZWwoKTtcblxuICAgIGlmIChwYW5lbCkge1xuICAgICAgcGFuZWwuX3VucmVnaXN0ZXJDb250ZW50KHRoaXMuX2VsZW1lbnRSZWYubmF0aXZlRWxlbWVudCk7XG4gICAgfVxuXG4gICAgdGhpcy5fZGVzdHJveWVkLm5leHQoKTtcbiAgICB0aGlzLl9kZXN0cm95ZWQuY29tcGxldGUoKTtcbiAgfVxuXG4gIC8qKiBXaGV0aGVyIGEgdmFsdWUgaXMgc2VsZWN0ZWQgaW4gdGhlIGxpc3Rib3guICovXG4gIGlzVmFsdWVTZWxlY3RlZCh2YWx1ZTogVCk6IGJvb2xlYW4ge1xuICAgIHJldHVybiB0aGlzLl9nZXRTZWxlY3RlZFZhbHVlKHZhbHVlKSAhPT0gdW5kZWZpbmVkO1xuICB9XG5cbiAgLyoqIFNlbGVjdHMgYSB2YWx1ZS4gUmVwbGFjZXMgdGhlIGN1cnJlbnQgdmFsdWUgaWYgdGhlIGxpc3Rib3ggb25seSBhbGxvd3Mgb25lIHNlbGVjdGlvbi4gKi9cbiAgc2VsZWN0KHZhbHVlOiBUKSB7XG4gICAgaWYgKCF0aGlzLmlzVmFsdWVTZWxlY3RlZCh2YWx1ZSkpIHtcbiAgICAgIGlmICghdGhpcy5tdWx0aXBsZSkge1xuICAgICAgICB0aGlzLl9zZWxlY3Rpb25Nb2RlbC5jbGVhcigpO1xuICAgICAgfVxuXG4gICAgICB0aGlzLl9zZWxlY3Rpb25Nb2RlbC5zZWxlY3QodmFsdWUpO1xuICAgIH1cbiAgfVxuXG4gIC8qKiBEZXNlbGVjdHMgYSB2YWx1ZS4gKi9cbiAgZGVzZWxlY3QodmFsdWU6IFQpIHtcbiAgICBjb25zdCBzZWxlY3RlZFZhbHVlID0gdGhpcy5fZ2V0U2VsZWN0ZWRWYWx1ZSh2YWx1ZSk7XG5cbiAgICBpZiAoc2VsZWN0ZWRWYWx1ZSAhPT0gdW5kZWZpbmVkKSB7XG4gICAgICB0aGlzLl9zZWxlY3Rpb25Nb2RlbC5kZXNlbGVjdChzZWxlY3RlZFZhbHVlKTtcbiAgICB9XG4gIH1cblxuICAvKiogVG9nZ2xlcyB0aGUgc2VsZWN0ZWQgc3RhdGUgb2YgYSB2YWx1ZS4gKi9cbiAgdG9nZ2xlKHZhbHVlOiBUKSB7XG4gICAgdGhpcy5pc1ZhbHVlU2VsZWN0ZWQodmFsdWUpID8gdGhpcy5kZXNlbGVjdCh2YWx1ZSkgOiB0aGlzLnNlbGVjdCh2YWx1ZSk7XG4gIH1cblxuICAvKiogU2VsZWN0cyBhbGwgb2YgdGhlIG9wdGlvbnMgdGhhdCBhcmVuJ3QgZGlzYWJsZWQuIE9ubHkgd29ya3MgaWYgYG11bHRpcGxlYCBpcyBlbmFibGVkLiAqL1xuICBzZWxlY3RBbGwoKSB7XG4gICAgaWYgKHRoaXMubXVsdGlwbGUpIHtcbiAgICAgIHRoaXMub3B0aW9ucy5mb3JFYWNoKG9wdGlvbiA9PiB7XG4gICAgICAgIGlmICghb3B0aW9uLmRpc2FibGVkKSB7XG4gICAgICAgICAgdGhpcy5zZWxlY3Qob3B0aW9uLnZhbHVlKTtcbiAgICAgICAgfVxuICAgICAgfSk7XG4gICAgfVxuICB9XG5cbiAgLyoqIERlc2VsZWN0cyBhbGwgb2YgdGhlIG9wdGlvbnMgdGhhdCBhcmVuJ3QgZGlzYWJsZWQuICovXG4gIGRlc2VsZWN0QWxsKCkge1xuICAgIHRoaXMub3B0aW9ucy5mb3JFYWNoKG9wdGlvbiA9PiB7XG4gICAgICBpZiAoIW9wdGlvbi5kaXNhYmxlZCkge1xuICAgICAgICB0aGlzLmRlc2VsZWN0KG9wdGlvbi52YWx1ZSk7XG4gICAgICB9XG4gICAgfSk7XG4gIH1cblxuICAvKiogTW92ZXMgZm9jdXMgdG8gdGhlIGxpc3Rib3guICovXG4gIGZvY3VzKCkge1xuICAgIHRoaXMuX2VsZW1lbnRSZWYubmF0aXZlRWxlbWVudC5mb2N1cygpO1xuICB9XG5cbiAgLyoqXG4gICAqIFNldHMgdGhlIHZhbHVlIG9mIHRoZSBsaXN0Ym94IGZyb20gYSBmb3JtIGNvbnRyb2wuXG4gICAqIEBkb2NzLXByaXZhdGVcbiAgICovXG4gIHdyaXRlVmFsdWUodmFsdWU6IFQgfCByZWFkb25seSBUW10gfCBudWxsKTogdm9pZCB7XG4gICAgdGhpcy5fc2V0U2VsZWN0aW9uKHZhbHVlKTtcbiAgfVxuXG4gIC8qKlxuICAgKiBSZWdpc3RlcnMgYSBjYWxsYmFjayB0aGF0IGlzIGludm9rZWQgd2hlbiB0aGUgdmFsdWUgb2YgdGhlIGxpc3Rib3ggY2hhbmdlcy5cbiAgICogQGRvY3MtcHJpdmF0ZVxuICAgKi9cbiAgcmVnaXN0ZXJPbkNoYW5nZShmbjogKHZhbHVlOiBUIHwgcmVhZG9ubHkgVFtdIHwgbnVsbCkgPT4gdm9pZCk6IHZvaWQge1xuICAgIHRoaXMuX29uQ2hhbmdlID0gZm47XG4gIH1cblxuICAvKipcbiAgICogUmVnaXN0ZXJzIGEgY2FsbGJhY2sgdGhhdCBpcyBpbnZva2VkIHdoZW4gdGhlIGxpc3Rib3ggaXMgYmx1cnJlZC5cbiAgICogQGRvY3MtcHJpdmF0ZVxuICAgKi9cbiAgcmVnaXN0ZXJPblRvdWNoZWQoZm46ICgpID0+IHt9KTogdm9pZCB7XG4gICAgdGhpcy5fb25Ub3VjaGVkID0gZm47XG4gIH1cblxuICAvKipcbiAgICogRGlzYWJsZXMgdGhlIGxpc3Rib3ggZnJvbSBhIGZvcm0gY29udHJvbC5cbiAgICogQGRvY3MtcHJpdmF0ZVxuICAgKi9cbiAgc2V0RGlzYWJsZWRTdGF0ZShpc0Rpc2FibGVkOiBib29sZWFuKTogdm9pZCB7XG4gICAgdGhpcy5kaXNhYmxlZCA9IGlzRGlzYWJsZWQ7XG4gIH1cblxuICAvKiogR2V0cyB0aGUgdGFiaW5kZXggb2YgdGhlIGxpc3Rib3guICovXG4gIF9nZXRUYWJJbmRleCgpOiBudW1iZXIgfCBudWxsIHtcbiAgICByZXR1cm4gdGhpcy5kaXNhYmxlZCA/IG51bGwgOiAwO1xuICB9XG5cbiAgLyoqIEdldHMgdGhlIElEIG9mIHRoZSBhY3RpdmUgb3B0aW9uLCBpZiBhbnkuICovXG4gIF9nZXRBcmlhQWN0aXZlRGVzY2VuZGFudCgpOiBzdHJpbmcgfCBudWxsIHtcbiAgICBjb25zdCBhY3RpdmVPcHRpb24gPSB0aGlzLl9saXN0S2V5TWFuYWdlciAmJiB0aGlzLl9saXN0S2V5TWFuYWdlci5hY3RpdmVJdGVtO1xuICAgIHJldHVybiBhY3RpdmVPcHRpb24gPyBhY3RpdmVPcHRpb24uaWQgOiBudWxsO1xuICB9XG5cbiAgLyoqXG4gICAqIE1ha2VzIGFuIG9wdGlvbiB0aGUgYWN0aXZlIGRlc2NlbmRhbnQgb2YgdGhlIGxpc3Rib3guXG4gICAqIEBkb2NzLXByaXZhdGVcbiAgICovXG4gIF9zZXRBY3RpdmVPcHRpb24ob3B0aW9uOiBDZGtPcHRpb248VD4pIHtcbiAgICB0aGlzLl9saXN0S2V5TWFuYWdlci5zZXRBY3RpdmVJdGVtKG9wdGlvbik7XG4gIH1cblxuICAvKipcbiAgICogQWN0aXZhdGVzIHRoZSBmaXJzdCBzZWxlY3RlZCBvcHRpb24sIG9yIHRoZSBmaXJzdCBvcHRpb24sIHdoZW4gdGhlIGxpc3Rib3ggcmVjZWl2ZXMgZm9jdXMuXG4gICAqIEBkb2NzLXByaXZhdGVcbiAgICovXG4gIF9oYW5kbGVGb2N1cygpIHtcbiAgICBjb25zdCBrZXlNYW5hZ2VyID0gdGhpcy5fbGlzdEtleU1hbmFnZXI7XG5cbiAgICBpZiAoa2V5TWFuYWdlciAmJiAha2V5TWFuYWdlci5hY3RpdmVJdGVtKSB7XG4gICAgICBjb25zdCBzZWxlY3RlZE9wdGlvbiA9IHRoaXMub3B0aW9ucy5maW5kKG9wdGlvbiA9PiBvcHRpb24uaXNTZWxlY3RlZCgpICYmICFvcHRpb24uZGlzYWJsZWQpO1xuICAgICAgc2VsZWN0ZWRPcHRpb24gPyBrZXlNYW5hZ2VyLnNldEFjdGl2ZUl0ZW0oc2VsZWN0ZWRPcHRpb24pIDoga2V5TWFuYWdlci5zZXRGaXJzdEl0ZW1BY3RpdmUoKTtcbiAgICB9XG4gIH1cblxuICAvKiogSGFuZGxlcyBrZXlib2FyZCBldmVudHMgb24gdGhlIGxpc3Rib3guICovXG4gIF9oYW5kbGVLZXlkb3duKGV2ZW50OiBLZXlib2FyZEV2ZW50KSB7XG4gICAgY29uc3Qga2V5TWFuYWdlciA9IHRoaXMuX2xpc3RLZXlNYW5hZ2VyO1xuXG4gICAgaWYgKHRoaXMuZGlzYWJsZWQgfHwgIWtleU1hbmFnZXIpIHtcbiAgICAgIHJldHVybjtcbiAgICB9XG5cbiAgICBjb25zdCBrZXlDb2RlID0gZXZlbnQua2V5Q29kZTtcbiAgICBjb25zdCBwYW5lbCA9IHRoaXMuX2dldENvbWJvYm94UGFuZWwoKTtcblxuICAgIHN3aXRjaCAoa2V5Q29kZSkge1xuICAgICAgY2FzZSBTUEFDRTpcbiAgICAgIGNhc2UgRU5URVI6XG4gICAgICAgIGlmICghaGFzTW9kaWZpZXJLZXkoZXZlbnQpICYmIGtleU1hbmFnZXIuYWN0aXZlSXRlbSkge1xuICAgICAgICAgIGV2ZW50LnByZXZlbnREZWZhdWx0KCk7XG4gICAgICAgICAgdGhpcy5fc2VsZWN0T3B0aW9uRnJvbVVzZXIoa2V5TWFuYWdlci5hY3RpdmVJdGVtKTtcbiAgICAgICAgfVxuICAgICAgICBicmVhaztcblxuICAgICAgY2FzZSBBOlxuICAgICAgICBpZiAodGhpcy5tdWx0aXBsZSAmJiBoYXNNb2RpZmllcktleShldmVudCwgJ2N0cmxLZXknLCAnbWV0YUtleScpICYmXG4gICAgICAgICAgICAhaGFzTW9kaWZpZXJLZXkoZXZlbnQsICdhbHRLZXknLCAnc2hpZnRLZXknKSkge1xuICAgICAgICAgIGV2ZW50LnByZXZlbnREZWZhdWx0KCk7XG4gICAgICAgICAgY29uc3QgZW5hYmxlZE9wdGlvbnMgPSB0aGlzLm9wdGlvbnMuZmlsdGVyKG9wdGlvbiA9PiAhb3B0aW9uLmRpc2FibGVkKTtcbiAgICAgICAgICBjb25zdCBhbGxTZWxlY3RlZCA9IGVuYWJsZWRPcHRpb25zLmV2ZXJ5KG9wdGlvbiA9PiBvcHRpb24uaXNTZWxlY3RlZCgpKTtcbiAgICAgICAgICBhbGxTZWxlY3RlZCA/IHRoaXMuZGVzZWxlY3RBbGwoKSA6IHRoaXMuc2VsZWN0QWxsKCk7XG4gICAgICAgICAgdGhpcy5fZW1pdFZhbHVlQ2hhbmdlKG51bGwpO1xuICAgICAgICB9IGVsc2Uge1xuICAgICAgICAgIGtleU1hbmFnZXIub25LZXlkb3duKGV2ZW50KTtcbiAgICAgICAgfVxuICAgICAgICBicmVhaztcblxuICAgICAgY2FzZSBFU0NBUEU6XG4gICAgICBjYXNlIFRBQjpcbiAgICAgICAgLy8gTGV0IHRoZSBjb21ib2JveCBrbm93IHRoYXQgdGhlIHVzZXIgd2FudHMgdG8gbGVhdmUgdGhlIHBvcHVwLlxuICAgICAgICBpZiAocGFuZWwgJiYgIWhhc01vZGlmaWVyS2V5KGV2ZW50KSkge1xuICAgICAgICAgIGlmIChrZXlDb2RlID09PSBFU0NBUEUpIHtcbiAgICAgICAgICAgIGV2ZW50LnByZXZlbnREZWZhdWx0KCk7XG4gICAgICAgICAgfVxuXG4gICAgICAgICAgcGFuZWwuY2xvc2VQYW5lbCgpO1xuICAgICAgICB9XG4gICAgICAgIGJyZWFrO1xuXG4gICAgICBjYXNlIFVQX0FSUk9XOlxuICAgICAgY2FzZSBET1dOX0FSUk9XOlxuICAgICAgY2FzZSBMRUZUX0FSUk9XOlxuICAgICAgY2FzZSBSSUdIVF9BUlJPVzpcbiAgICAgIGNhc2UgSE9NRTpcbiAgICAgIGNhc2UgRU5EOlxuICAgICAgICBjb25zdCBwcmV2aW91c0FjdGl2ZUl0ZW0gPSBrZXlNYW5hZ2VyLmFjdGl2ZUl0ZW07XG4gICAgICAgIGNvbnN0IGlzU2hpZnRTZWxlY3Rpb24gPSB0aGlzLm11bHRpcGxlICYmIGhhc01vZGlmaWVyS2V5KGV2ZW50LCAnc2hpZnRLZXknKSAmJlxuICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIWhhc01vZGlmaWVyS2V5KGV2ZW50LCAnY3RybEtleScsICdtZXRhS2V5JywgJ2FsdEtleScpO1xuXG4gICAgICAgIC8vIFRoZSBrZXkgbWFuYWdlciBpZ25vcmVzIGV2ZW50cyB3aXRoIG1vZGlmaWVycywgYnV0IHNoaWZ0ICsgYXJyb3cgc2hvdWxkIHN0aWxsXG4gICAgICAgIC8vIG1vdmUgdGhlIGFjdGl2ZSBvcHRpb24gc28gdGhhdCBpdCBjYW4gYmUgdXNlZCB0byBleHRlbmQgdGhlIHNlbGVjdGlvbi5cbiAgICAgICAgaWYgKGlzU2hpZnRTZWxlY3Rpb24pIHtcbiAgICAgICAgICB0aGlzLl9tb3ZlQWN0aXZlT3B0aW9uKGV2ZW50KTtcbiAgICAgICAgfSBlbHNlIHtcbiAgICAgICAgICBrZXlNYW5hZ2VyLm9uS2V5ZG93bihldmVudCk7XG4gICAgICAgIH1cblxuICAgICAgICBpZiAoaXNTaGlmdFNlbGVjdGlvbiAmJiBrZXlNYW5hZ2VyLmFjdGl2ZUl0ZW0gJiZcbiAgICAgICAgICAgIGtleU1hbmFnZXIuYWN0aXZlSXRlbSAhPT0gcHJldmlvdXNBY3RpdmVJdGVtKSB7XG4gICAgICAgICAgdGhpcy5fc2VsZWN0T3B0aW9uRnJvbVVzZXIoa2V5TWFuYWdlci5hY3RpdmVJdGVtLCAnc2VsZWN0Jyk7XG4gICAgICAgIH1cbiAgICAgICAgYnJlYWs7XG5cbiAgICAgIGRlZmF1bHQ6XG4gICAgICAgIGtleU1hbmFnZXIub25LZXlkb3duKGV2ZW50KTtcbiAgICB9XG4gIH1cblxuICAvKipcbiAgICogU2VsZWN0cyBhbiBvcHRpb24gYXMgYSByZXN1bHQgb2YgYSB1c2VyIGludGVyYWN0aW9uLiBPcHRpb25zIGFyZSB0b2dnbGVkIGlmIHRoZSBsaXN0Ym94XG4gICAqIGFsbG93cyBtdWx0aXBsZSBzZWxlY3Rpb25zIGFuZCBzZWxlY3RlZCBvdGhlcndpc2UuXG4gICAqIEBkb2NzLXByaXZhdGVcbiAgICovXG4gIF9zZWxlY3RPcHRpb25Gcm9tVXNlcihvcHRpb246IENka09wdGlvbjxUPiwgYWN0aW9uOiAndG9nZ2xlJyB8ICdzZWxlY3QnID0gJ3RvZ2dsZScpIHtcbiAgICBpZiAob3B0aW9uLl9pc0ludGVyYWN0aW9uRGlzYWJsZWQoKSkge1xuICAgICAgcmV0dXJuO1xuICAgIH1cblxuICAgIGNvbnN0IHdhc1NlbGVjdGVkID0gb3B0aW9uLmlzU2VsZWN0ZWQoKTtcblxuICAgIGlmICh0aGlzLm11bHRpcGxlICYmIGFjdGlvbiA9PT0gJ3RvZ2dsZScpIHtcbiAgICAgIHRoaXMudG9nZ2xlKG9wdGlvbi52YWx1ZSk7XG4gICAgfSBlbHNlIHtcbiAgICAgIHRoaXMuc2VsZWN0KG9wdGlvbi52YWx1ZSk7XG4gICAgfVxuXG4gICAgaWYgKHdhc1NlbGVjdGVkICE9PSBvcHRpb24uaXNTZWxlY3RlZCgpKSB7XG4gICAgICB0aGlzLl9lbWl0VmFsdWVDaGFuZ2Uob3B0aW9uKTtcbiAgICB9XG5cbiAgICBjb25zdCBwYW5lbCA9IHRoaXMuX2dldENvbWJvYm94UGFuZWwoKTtcblxuICAgIGlmIChwYW5lbCkge1xuICAgICAgLy8gU2luZ2xlLXNlbGVjdGlvbiBsaXN0Ym94ZXMgYXJlIGRvbmUgb25jZSBhbiBvcHRpb24gaXMgcGlja2VkLFxuICAgICAgLy8gd2hlcmVhcyBtdWx0aS1zZWxlY3Rpb24gb25lcyBzdGF5IG9wZW4gc28gbW9yZSBvcHRpb25zIGNhbiBiZSBwaWNrZWQuXG4gICAgICB0aGlzLm11bHRpcGxlID8gcGFuZWwudXBkYXRlVmFsdWUodGhpcy52YWx1ZS5zbGljZSgpKSA6IHBhbmVsLmNsb3NlUGFuZWwob3B0aW9uLnZhbHVlKTtcbiAgICB9XG4gIH1cblxuICAvKiogTW92ZXMgdGhlIGFjdGl2ZSBvcHRpb24gd2hlbiB0aGUgdXNlciBpcyBwcmVzc2luZyB0aGUgc2hpZnQga2V5LiAqL1xuICBwcml2YXRlIF9tb3ZlQWN0aXZlT3B0aW9uKGV2ZW50OiBLZXlib2FyZEV2ZW50KSB7XG4gICAgY29uc3Qga2V5TWFuYWdlciA9IHRoaXMuX2xpc3RLZXlNYW5hZ2VyO1xuICAgIGNvbnN0IGtleUNvZGUgPSBldmVudC5rZXlDb2RlO1xuICAgIGNvbnN0IGlzSG9yaXpvbnRhbCA9IHRoaXMub3JpZW50YXRpb24gPT09ICdob3Jpem9udGFsJztcbiAgICBjb25zdCBpc1J0bCA9ICEhdGhpcy5fZGlyICYmIHRoaXMuX2Rpci52YWx1ZSA9PT0gJ3J0bCc7XG5cbiAgICBpZiAoa2V5Q29kZSA9PT0gSE9NRSB8fCBrZXlDb2RlID09PSBFTkQpIHtcbiAgICAgIGtleUNvZGUgPT09IEhPTUUgPyBrZXlNYW5hZ2VyLnNldEZpcnN0SXRlbUFjdGl2ZSgpIDoga2V5TWFuYWdlci5zZXRMYXN0SXRlbUFjdGl2ZSgpO1xuICAgIH0gZWxzZSBpZiAoaXNIb3Jpem9udGFsID8gKGtleUNvZGUgPT09IExFRlRfQVJST1cgfHwga2V5Q29kZSA9PT0gUklHSFRfQVJST1cpIDpcbiAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIChrZXlDb2RlID09PSBVUF9BUlJPVyB8fCBrZXlDb2RlID09PSBET1dOX0FSUk9XKSkge1xuICAgICAgY29uc3QgaXNOZXh0ID0gaXNIb3Jpem9udGFsID8gKGtleUNvZGUgPT09IFJJR0hUX0FSUk9XKSAhPT0gaXNSdGwgOiBrZXlDb2RlID09PSBET1dOX0FSUk9XO1xuICAgICAgaXNOZXh0ID8ga2V5TWFuYWdlci5zZXROZXh0SXRlbUFjdGl2ZSgpIDoga2V5TWFuYWdlci5zZXRQcmV2aW91c0l0ZW1BY3RpdmUoKTtcbiAgICB9IGVsc2Uge1xuICAgICAgcmV0dXJuO1xuICAgIH1cblxuICAgIGV2ZW50LnByZXZlbnREZWZhdWx0KCk7XG4gIH1cblxuICAvKiogTm90aWZpZXMgdGhlIGZvcm0gY29udHJvbCBhbmQgdGhlIG91dHB1dHMgdGhhdCB0aGUgdXNlciBjaGFuZ2VkIHRoZSB2YWx1ZS4gKi9cbiAgcHJpdmF0ZSBfZW1pdFZhbHVlQ2hhbmdlKG9wdGlvbjogQ2RrT3B0aW9uPFQ+IHwgbnVsbCkge1xuICAgIGNvbnN0IHZhbHVlID0gdGhpcy52YWx1ZTtcbiAgICB0aGlzLl9vbkNoYW5nZSh0aGlzLm11bHRpcGxlID8gdmFsdWUuc2xpY2UoKSA6ICh2YWx1ZS5sZW5ndGggPyB2YWx1ZVswXSA6IG51bGwpKTtcbiAgICB0aGlzLnZhbHVlQ2hhbmdlLmVtaXQoe3ZhbHVlLCBsaXN0Ym94OiB0aGlzLCBvcHRpb259KTtcbiAgfVxuXG4gIC8qKiBSZXBsYWNlcyB0aGUgc2VsZWN0ZWQgdmFsdWVzIG9mIHRoZSBsaXN0Ym94LiAqL1xuICBwcml2YXRlIF9zZXRTZWxlY3Rpb24odmFsdWU6IFQgfCByZWFkb25seSBUW10gfCBudWxsKSB7XG4gICAgY29uc3QgdmFsdWVzID0gdmFsdWUgPT0gbnVsbCA/IFtdIDogKEFycmF5LmlzQXJyYXkodmFsdWUpID8gdmFsdWUgOiBbdmFsdWVdKSBhcyBUW107XG5cbiAgICBpZiAoKHR5cGVvZiBuZ0Rldk1vZGUgPT09ICd1bmRlZmluZWQnIHx8IG5nRGV2TW9kZSkgJiYgdGhpcy5fbGlzdEtleU1hbmFnZXIgJiZcbiAgICAgICAgIXRoaXMubXVsdGlwbGUgJiYgdmFsdWVzLmxlbmd0aCA+IDEpIHtcbiAgICAgIHRocm93TXVsdGlwbGVWYWx1ZXNFcnJvcigpO1xuICAgIH1cblxuICAgIHRoaXMuX3NlbGVjdGlvbk1vZGVsLmNsZWFyKCk7XG4gICAgdmFsdWVzLmZvckVhY2goY3VycmVudCA9PiB7XG4gICAgICBpZiAoIXRoaXMuaXNWYWx1ZVNlbGVjdGVkKGN1cnJlbnQpKSB7XG4gICAgICAgIHRoaXMuX3NlbGVjdGlvbk1vZGVsLnNlbGVjdChjdXJyZW50KTtcbiAgICAgIH1cbiAgICB9KTtcbiAgfVxuXG4gIC8qKiBHZXRzIHRoZSBzZWxlY3RlZCB2YWx1ZSB0aGF0IGlzIGVxdWFsIHRvIGEgcGFydGljdWxhciB2YWx1ZSwgYWNjb3JkaW5nIHRvIGBjb21wYXJlV2l0aGAuICovXG4gIHByaXZhdGUgX2dldFNlbGVjdGVkVmFsdWUodmFsdWU6IFQpOiBUIHwgdW5kZWZpbmVkIHtcbiAgICBjb25zdCBzZWxlY3RlZCA9IHRoaXMuX3NlbGVjdGlvbk1vZGVsLnNlbGVjdGVkO1xuXG4gICAgZm9yIChsZXQgaSA9IDA7IGkgPCBzZWxlY3RlZC5sZW5ndGg7IGkrKykge1xuICAgICAgaWYgKHRoaXMuY29tcGFyZVdpdGgoc2VsZWN0ZWRbaV0sIHZhbHVlKSkge1xuICAgICAgICByZXR1cm4gc2VsZWN0ZWRbaV07XG4gICAgICB9XG4gICAgfVxuXG4gICAgcmV0dXJuIHVuZGVmaW5lZDtcbiAgfVxuXG4gIC8qKiBTY3JvbGxzIHRoZSBhY3RpdmUgb3B0aW9uIGludG8gdmlldywgaWYgaXQgaXMgb3V0c2lkZSBvZiB0aGUgbGlzdGJveCdzIHNjcm9sbGFibGUgYXJlYS4gKi9cbiAgcHJpdmF0ZSBfc2Nyb2xsQWN0aXZlT3B0aW9uSW50b1ZpZXcoKSB7XG4gICAgY29uc3QgYWN0aXZlT3B0aW9uID0gdGhpcy5fbGlzdEtleU1hbmFnZXIuYWN0aXZlSXRlbTtcbiAgICBjb25zdCBlbGVtZW50ID0gYWN0aXZlT3B0aW9uICYmIGFjdGl2ZU9wdGlvbi5fZWxlbWVudFJlZi5uYXRpdmVFbGVtZW50O1xuXG4gICAgaWYgKGVsZW1lbnQgJiYgZWxlbWVudC5zY3JvbGxJbnRvVmlldykge1xuICAgICAgZWxlbWVudC5zY3JvbGxJbnRvVmlldyh7YmxvY2s6ICduZWFyZXN0JywgaW5saW5lOiAnbmVhcmVzdCd9KTtcbiAgICB9XG4gIH1cblxuICAvKiogR2V0cyB0aGUgY29tYm9ib3ggcGFuZWwgdGhhdCB0aGUgbGlzdGJveCBpcyByZW5kZXJlZCBpbiwgaWYgYW55LiAqL1xuICBwcml2YXRlIF9nZXRDb21ib2JveFBhbmVsKCk6IENka0xpc3Rib3hQYW5lbDxUPiB8IG51bGwge1xuICAgIHJldHVybiB0aGlzLl9pbmplY3RlZENvbWJvYm94UGFuZWwgfHwgdGhpcy5jb21ib2JveFBhbmVsO1xuICB9XG5cbiAgc3RhdGljIG5nQWNjZXB0SW5wdXRUeXBlX211bHRpcGxlOiBCb29sZWFuSW5wdXQ7XG4gIHN0YXRpYyBuZ0FjY2VwdElucHV0VHlwZV9kaXNhYmxlZDogQm9vbGVhbklucHV0O1xufVxuXG4vKiogVGhyb3dzIGFuIGVycm9yIHdoZW4gbXVsdGlwbGUgdmFsdWVzIGFyZSBzZWxlY3RlZCBpbiBhIHNpbmdsZS1zZWxlY3Rpb24gbGlzdGJveC4gKi9cbmZ1bmN0aW9uIHRocm93TXVsdGlwbGVWYWx1ZXNFcnJvcigpIHtcbiAgdGhyb3cgRXJyb3IoJ0xpc3Rib3ggY2Fubm90IGhhdmUgbW9yZSB0aGFuIG9uZSBzZWxlY3RlZCB2YWx1ZSBpbiBzaW5nbGUtc2VsZWN0aW9uIG1vZGUuJyk7XG59XG4iXX0=
\ No newline at end of file
@@ -0,0 +1,247 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { FocusKeyManager } from '@angular/cdk/a11y';
+import { Directionality } from '@angular/cdk/bidi';
+import { DOWN_ARROW, ESCAPE, hasModifierKey, LEFT_ARROW, RIGHT_ARROW, TAB, UP_ARROW, } from '@angular/cdk/keycodes';
+import { ContentChildren, Directive, ElementRef, Input, NgZone, QueryList, } from '@angular/core';
+import { Subject } from 'rxjs';
+import { startWith, takeUntil } from 'rxjs/operators';
+import { PointerFocusTracker } from './item-pointer-entries';
+import { CdkMenuItem } from './menu-item';
+import { FocusNext } from './menu-stack';
+/** Counter used to create unique IDs for menus. */
+let nextId = 0;
+/**
+ * Abstract directive that implements the behavior shared by `CdkMenu` and `CdkMenuBar`, such as
+ * keyboard navigation between the items and a roving tabindex.
+ */
+export class CdkMenuBase {
+    constructor(_elementRef, _ngZone, _menuAim, _dir) {
+        this._elementRef = _elementRef;
+        this._ngZone = _ngZone;
+        this._menuAim = _menuAim;
+        this._dir = _dir;
+        /** Unique ID of the menu. */
+        this.id = `cdk-menu-${nextId++}`;
+        /**
+         * Stack of the open menus that the menu belongs to.
+         * @docs-private
+         */
+        this._menuStack = null;
+        /**
+         * Menu items which belong directly to the menu.
+         * @docs-private
+         */
+        this._items = new QueryList();
+        /** Emits when the menu is destroyed. */
+        this._destroyed = new Subject();
+        /** Keeps track of the item that is under the user's pointer. */
+        this._pointerTracker = null;
+        /** Item that should be focused once the items have been initialized. */
+        this._pendingFocus = null;
+    }
+    ngAfterContentInit() {
+        this._setKeyManager();
+        this._allItems.changes
+            .pipe(startWith(this._allItems), takeUntil(this._destroyed))
+            .subscribe((items) => {
+            this._items.reset(items.filter(item => item._parentMenu === this));
+            this._items.notifyOnChanges();
+            this._updateTabIndices();
+        });
+        this._subscribeToMenuStack();
+        this._setUpMenuAim();
+        if (this._pendingFocus) {
+            const { position, origin } = this._pendingFocus;
+            this._pendingFocus = null;
+            position === 'first' ? this.focusFirstItem(origin) : this.focusLastItem(origin);
+        }
+    }
+    ngOnDestroy() {
+        this._destroyed.next();
+        this._destroyed.complete();
+        if (this._pointerTracker) {
+            this._pointerTracker.destroy();
+        }
+        if (this._isRoot()) {
+            this._menuStack.closeAll();
+            this._menuStack.destroy();
+        }
+    }
+    /** Moves focus to the first item of the menu. */
+    focusFirstItem(focusOrigin = 'program') {
+        if (this._keyManager) {
+            this._keyManager.setFocusOrigin(focusOrigin);
+            this._keyManager.setFirstItemActive();
+        }
+        else {
+            this._pendingFocus = { position: 'first', origin: focusOrigin };
+        }
+    }
+    /** Moves focus to the last item of the menu. */
+    focusLastItem(focusOrigin = 'program') {
+        if (this._keyManager) {
+            this._keyManager.setFocusOrigin(focusOrigin);
+            this._keyManager.setLastItemActive();
+        }
+        else {
+            this._pendingFocus = { position: 'last', origin: focusOrigin };
+        }
+    }
+    /**
+     * Handles keyboard events for the menu.
+     * @docs-private
+     */
+    _handleKeyEvent(event) {
+        const keyManager = this._keyManager;
+        if (!keyManager) {
+            return;
+        }
+        switch (event.keyCode) {
+            case ESCAPE:
+                if (!hasModifierKey(event) && this._menuStack && !this._menuStack.isEmpty()) {
+                    event.preventDefault();
+                    if (this._isInline()) {
+                        this._menuStack.closeAll({ focusNextOnEmpty: FocusNext.currentItem });
+                    }
+                    else {
+                        this._menuStack.close(this, {
+                            focusNextOnEmpty: FocusNext.currentItem,
+                            focusParentTrigger: true,
+                        });
+                    }
+                }
+                break;
+            case TAB:
+                // Focus is moved back to the root menu before the browser handles
+                // the tab key so that focus moves to the element after it.
+                if (this._menuStack) {
+                    this._menuStack.closeAll({ focusParentTrigger: !this._isInline() });
+                }
+                break;
+            case LEFT_ARROW:
+            case RIGHT_ARROW:
+            case UP_ARROW:
+            case DOWN_ARROW:
+                this._moveFocus(event);
+                break;
+            default:
+                keyManager.setFocusOrigin('keyboard');
+                keyManager.onKeydown(event);
+        }
+    }
+    /**
+     * Keeps the key manager in sync when one of the items is focused through other means,
+     * e.g. when the user clicks on it.
+     * @docs-private
+     */
+    _handleFocusIn(event) {
+        const target = event.target;
+        const item = this._items.find(current => current._elementRef.nativeElement.contains(target));
+        if (item && this._keyManager && item !== this._keyManager.activeItem) {
+            this._keyManager.updateActiveItem(item);
+            this._updateTabIndices();
+        }
+    }
+    /** Moves focus between the items, keeping a submenu open if one was open before. */
+    _moveFocus(event) {
+        const keyManager = this._keyManager;
+        const previousItem = keyManager.activeItem;
+        const wasOpen = !!previousItem && previousItem.isMenuOpen();
+        keyManager.setFocusOrigin('keyboard');
+        keyManager.onKeydown(event);
+        const activeItem = keyManager.activeItem;
+        if (wasOpen && activeItem !== previousItem) {
+            if (this.orientation === 'horizontal' && activeItem && activeItem.hasMenu()) {
+                activeItem.getMenuTrigger().openMenu();
+            }
+            else if (this._menuStack) {
+                this._menuStack.closeSubMenuOf(this);
+            }
+        }
+    }
+    /** Sets up the key manager that handles keyboard navigation between the items. */
+    _setKeyManager() {
+        this._keyManager = new FocusKeyManager(this._items)
+            .withWrap()
+            .withTypeAhead()
+            .withHomeAndEnd();
+        if (this.orientation === 'horizontal') {
+            this._keyManager
+                .withVerticalOrientation(false)
+                .withHorizontalOrientation(this._dir ? this._dir.value : 'ltr');
+        }
+        this._keyManager.change
+            .pipe(takeUntil(this._destroyed))
+            .subscribe(() => this._updateTabIndices());
+    }
+    /**
+     * Implements a roving tabindex for inline menus, where only the active item can be reached
+     * by tabbing. Items of menus in an overlay are never tabbable.
+     */
+    _updateTabIndices() {
+        let tabbableItem;
+        if (this._isInline()) {
+            const activeItem = this._keyManager.activeItem;
+            tabbableItem = activeItem && !activeItem.disabled ?
+                activeItem : this._items.find(item => !item.disabled);
+        }
+        this._items.forEach(item => item._tabindex = item === tabbableItem ? 0 : -1);
+    }
+    /** Whether the menu is the one from which the rest of the menus in the stack are opened. */
+    _isRoot() {
+        return !!this._menuStack && this._menuStack.root === this;
+    }
+    /** Moves focus within the root menu once all of the menus in the stack have been closed. */
+    _subscribeToMenuStack() {
+        if (!this._isRoot()) {
+            return;
+        }
+        this._menuStack.emptied.pipe(takeUntil(this._destroyed)).subscribe(focusNext => {
+            const keyManager = this._keyManager;
+            if (focusNext === FocusNext.nextItem || focusNext === FocusNext.previousItem) {
+                keyManager.setFocusOrigin('keyboard');
+                focusNext === FocusNext.nextItem ?
+                    keyManager.setNextItemActive() : keyManager.setPreviousItemActive();
+                // Open the menu of the newly focused item while keeping focus on the item itself.
+                const activeItem = keyManager.activeItem;
+                if (activeItem && activeItem.hasMenu()) {
+                    activeItem.getMenuTrigger().openMenu();
+                }
+            }
+            else if (focusNext === FocusNext.currentItem && keyManager.activeItem) {
+                keyManager.setFocusOrigin('keyboard');
+                keyManager.setActiveItem(keyManager.activeItem);
+            }
+        });
+    }
+    /** Sets up the menu aim service, if one was provided, to track the user's pointer. */
+    _setUpMenuAim() {
+        if (this._menuAim) {
+            const menuAim = this._menuAim;
+            this._ngZone.runOutsideAngular(() => {
+                this._pointerTracker = new PointerFocusTracker(this._items);
+                menuAim.initialize(this, this._pointerTracker);
+            });
+        }
+    }
+}
+CdkMenuBase.decorators = [
+    { type: Directive }
+];
+CdkMenuBase.ctorParameters = () => [
+    { type: ElementRef },
+    { type: NgZone },
+    { type: undefined },
+    { type: Directionality }
+];
+CdkMenuBase.propDecorators = {
+    id: [{ type: Input }],
+    _allItems: [{ type: ContentChildren, args: [CdkMenuItem, { descendants: true },] }]
+};
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoibWVudS1iYXNlLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiLi4vLi4vLi4vLi4vLi4vLi4vc3JjL2Nkay9tZW51L21lbnUtYmFzZS50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiQUFBQTs7Ozs7O0dBTUc7QUFFSCxPQUFPLEVBQUMsZUFBZSxFQUFjLE1BQU0sbUJBQW1CLENBQUM7QUFDL0QsT0FBTyxFQUFDLGNBQWMsRUFBQyxNQUFNLG1CQUFtQixDQUFDO0FBQ2pELE9BQU8sRUFDTCxVQUFVLEVBQ1YsTUFBTSxFQUNOLGNBQWMsRUFDZCxVQUFVLEVBQ1YsV0FBVyxFQUNYLEdBQUcsRUFDSCxRQUFRLEdBQ1QsTUFBTSx1QkFBdUIsQ0FBQztBQUMvQixPQUFPLEVBRUwsZUFBZSxFQUNmLFNBQVMsRUFDVCxVQUFVLEVBQ1YsS0FBSyxFQUNMLE1BQU0sRUFFTixTQUFTLEdBQ1YsTUFBTSxlQUFlLENBQUM7QUFDdkIsT0FBTyxFQUFDLE9BQU8sRUFBQyxNQUFNLE1BQU0sQ0FBQztBQUM3QixPQUFPLEVBQUMsU0FBUyxFQUFFLFNBQVMsRUFBQyxNQUFNLGdCQUFnQixDQUFDO0FBQ3BELE9BQU8sRUFBQyxtQkFBbUIsRUFBQyxNQUFNLHdCQUF3QixDQUFDO0FBRzNELE9BQU8sRUFBQyxXQUFXLEVBQUMsTUFBTSxhQUFhLENBQUM7QUFDeEMsT0FBTyxFQUFDLFNBQVMsRUFBWSxNQUFNLGNBQWMsQ0FBQztBQUVsRCxtREFBbUQ7QUFDbkQsSUFBSSxNQUFNLEdBQUcsQ0FBQyxDQUFDO0FBRWY7OztHQUdHO0FBRUgsTUFBTSxPQUFnQixXQUFXO0lBa0MvQixZQUNXLFdBQW9DLEVBQzFCLE9BQWUsRUFDakIsUUFBa0IsRUFDaEIsSUFBcUI7UUFIL0IsZ0JBQVcsR0FBWCxXQUFXLENBQXlCO1FBQzFCLFlBQU8sR0FBUCxPQUFPLENBQVE7UUFDakIsYUFBUSxHQUFSLFFBQVEsQ0FBVTtRQUNoQixTQUFJLEdBQUosSUFBSSxDQUFpQjtRQXJDMUMsNkJBQTZCO1FBQ3BCLE9BQUUsR0FBVyxZQUFZLE1BQU0sRUFBRSxFQUFFLENBQUM7UUFLN0M7OztXQUdHO1FBQ0gsZUFBVSxHQUFxQixJQUFJLENBQUM7UUFLcEM7OztXQUdHO1FBQ00sV0FBTSxHQUFHLElBQUksU0FBUyxFQUFlLENBQUM7UUFLL0Msd0NBQXdDO1FBQ3JCLGVBQVUsR0FBRyxJQUFJLE9BQU8sRUFBUSxDQUFDO1FBRXBELGdFQUFnRTtRQUN4RCxvQkFBZSxHQUE0QyxJQUFJLENBQUM7UUFFeEUsd0VBQXdFO1FBQ2hFLGtCQUFhLEdBQTZELElBQUksQ0FBQztJQU0xQyxDQUFDO0lBRTlDLGtCQUFrQjtRQUNoQixJQUFJLENBQUMsY0FBYyxFQUFFLENBQUM7UUFFdEIsSUFBSSxDQUFDLFNBQVMsQ0FBQyxPQUFPO2FBQ25CLElBQUksQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxFQUFFLFNBQVMsQ0FBQyxJQUFJLENBQUMsVUFBVSxDQUFDLENBQUM7YUFDM0QsU0FBUyxDQUFDLENBQUMsS0FBNkIsRUFBRSxFQUFFO1lBQzNDLElBQUksQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsV0FBVyxLQUFLLElBQUksQ0FBQyxDQUFDLENBQUM7WUFDbkUsSUFBSSxDQUFDLE1BQU0sQ0FBQyxlQUFlLEVBQUUsQ0FBQztZQUM5QixJQUFJLENBQUMsaUJBQWlCLEVBQUUsQ0FBQztRQUMzQixDQUFDLENBQUMsQ0FBQztRQUVMLElBQUksQ0FBQyxxQkFBcUIsRUFBRSxDQUFDO1FBQzdCLElBQUksQ0FBQyxhQUFhLEVBQUUsQ0FBQztRQUVyQixJQUFJLElBQUksQ0FBQyxhQUFhLEVBQUU7WUFDdEIsTUFBTSxFQUFDLFFBQVEsRUFBRSxNQUFNLEVBQUMsR0FBRyxJQUFJLENBQUMsYUFBYSxDQUFDO1lBQzlDLElBQUksQ0FBQyxhQUFhLEdBQUcsSUFBSSxDQUFDO1lBQzFCLFFBQVEsS0FBSyxPQUFPLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxjQUFjLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxhQUFhLENBQUMsTUFBTSxDQUFDLENBQUM7U0FDakY7SUFDSCxDQUFDO0lBRUQsV0FBVztRQUNULElBQUksQ0FBQyxVQUFVLENBQUMsSUFBSSxFQUFFLENBQUM7UUFDdkIsSUFBSSxDQUFDLFVBQVUsQ0FBQyxRQUFRLEVBQUUsQ0FBQztRQUUzQixJQUFJLElBQUksQ0FBQyxlQUFlLEVBQUU7WUFDeEIsSUFBSSxDQUFDLGVBQWUsQ0FBQyxPQUFPLEVBQUUsQ0FBQztTQUNoQztRQUVELElBQUksSUFBSSxDQUFDLE9BQU8sRUFBRSxFQUFFO1lBQ2xCLElBQUksQ0FBQyxVQUFXLENBQUMsUUFBUSxFQUFFLENBQUM7WUFDNUIsSUFBSSxDQUFDLFVBQVcsQ0FBQyxPQUFPLEVBQUUsQ0FBQztTQUM1QjtJQUNILENBQUM7SUFFRCxpREFBaUQ7SUFDakQsY0FBYyxDQUFDLGNBQTJCLFNBQVM7UUFDakQsSUFBSSxJQUFJLENBQUMsV0FBVyxFQUFFO1lBQ3BCLElBQUksQ0FBQyxXQUFXLENBQUMsY0FBYyxDQUFDLFdBQVcsQ0FBQyxDQUFDO1lBQzdDLElBQUksQ0FBQyxXQUFXLENBQUMsa0JBQWtCLEVBQUUsQ0FBQztTQUN2QzthQUFNO1lBQ0wsSUFBSSxDQUFDLGFBQWEsR0FBRyxFQUFDLFFBQVEsRUFBRSxPQUFPLEVBQUUsTUFBTSxFQUFFLFdBQVcsRUFBQyxDQUFDO1NBQy9EO0lBQ0gsQ0FBQztJQUVELGdEQUFnRDtJQUNoRCxhQUFhLENBQUMsY0FBMkIsU0FBUztRQUNoRCxJQUFJLElBQUksQ0FBQyxXQUFXLEVBQUU7WUFDcEIsSUFBSSxDQUFDLFdBQVcsQ0FBQyxjQUFjLENBQUMsV0FBVyxDQUFDLENBQUM7WUFDN0MsSUFBSSxDQUFDLFdBQVcsQ0FBQyxpQkFBaUIsRUFBRSxDQUFDO1NBQ3RDO2FBQU07WUFDTCxJQUFJLENBQUMsYUFBYSxHQUFHLEVBQUMsUUFBUSxFQUFFLE1BQU0sRUFBRSxNQUFNLEVBQUUsV0FBVyxFQUFDLENBQUM7U0FDOUQ7SUFDSCxDQUFDO0lBUUQ7OztPQUdHO0lBQ0gsZUFBZSxDQUFDLEtBQW9CO1FBQ2xDLE1BQU0sVUFBVSxHQUFHLElBQUksQ0FBQyxXQUFXLENBQUM7UUFFcEMsSUFBSSxDQUFDLFVBQVUsRUFBRTtZQUNmLE9BQU87U0FDUjtRQUVELFFBQVEsS0FBSyxDQUFDLE9BQU8sRUFBRTtZQUNyQixLQUFLLE1BQU07Z0JBQ1QsSUFBSSxDQUFDLGNBQWMsQ0FBQyxLQUFLLENBQUMsSUFBSSxJQUFJLENBQUMsVUFBVSxJQUFJLENBQUMsSUFBSSxDQUFDLFVBQVUsQ0FBQyxPQUFPLEVBQUUsRUFBRTtvQkFDM0UsS0FBSyxDQUFDLGNBQWMsRUFBRSxDQUFDO29CQUV2QixJQUFJLElBQUksQ0FBQyxTQUFTLEVBQUUsRUFBRTt3QkFDcEIsSUFBSSxDQUFDLFVBQVUsQ0FBQyxRQUFRLENBQUMsRUFBQyxnQkFBZ0IsRUFBRSxTQUFTLENBQUMsV0FBVyxFQUFDLENBQUMsQ0FBQztxQkFDckU7eUJBQU07d0JBQ0wsSUFBSSxDQUFDLFVBQVUsQ0FBQyxLQUFLLENBQUMsSUFBSSxFQUFFOzRCQUMxQixnQkFBZ0IsRUFBRSxTQUFTLENBQUMsV0FBVzs0QkFDdkMsa0JBQWtCLEVBQUUsSUFBSTt5QkFDekIsQ0FBQyxDQUFDO3FCQUNKO2lCQUNGO2dCQUNELE1BQU07WUFFUixLQUFLLEdBQUc7Z0JBQ04sa0VBQWtFO2dCQUNsRSwyREFBMkQ7Z0JBQzNELElBQUksSUFBSSxDQUFDLFVBQVUsRUFBRTtvQkFDbkIsSUFBSSxDQUFDLFVBQVUsQ0FBQyxRQUFRLENBQUMsRUFBQyxrQkFBa0IsRUFBRSxDQUFDLElBQUksQ0FBQyxTQUFTLEVBQUUsRUFBQyxDQUFDLENBQUM7aUJBQ25FO2dCQUNELE1BQU07WUFFUixLQUFLLFVBQVUsQ0FBQztZQUNoQixLQUFLLFdBQVcsQ0FBQztZQUNqQixLQUFLLFFBQVEsQ0FBQztZQUNkLEtBQUssVUFBVTtnQkFDYixJQUFJLENBQUMsVUFBVSxDQUFDLEtBQUssQ0FBQyxDQUFDO2dCQUN2QixNQUFNO1lBRVI7Z0JBQ0UsVUFBVSxDQUFDLGNBQWMsQ0FBQyxVQUFVLENBQUMsQ0FBQztnQkFDdEMsVUFBVSxDQUFDLFNBQVMsQ0FBQyxLQUFLLENBQUMsQ0FBQztTQUMvQjtJQUNILENBQUM7SUFFRDs7OztPQUlHO0lBQ0gsY0FBYyxDQUFDLEtBQWlCO1FBQzlCLE1BQU0sTUFBTSxHQUFHLEtBQUssQ0FBQyxNQUFjLENBQUM7UUFDcEMsTUFBTSxJQUFJLEdBQUcsSUFBSSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsV0FBVyxDQUFDLGFBQWEsQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQztRQUU3RixJQUFJLElBQUksSUFBSSxJQUFJLENBQUMsV0FBVyxJQUFJLElBQUksS0FBSyxJQUFJLENBQUMsV0FBVyxDQUFDLFVBQVUsRUFBRTtZQUNwRSxJQUFJLENBQUMsV0FBVyxDQUFDLGdCQUFnQixDQUFDLElBQUksQ0FBQyxDQUFDO1lBQ3hDLElBQUksQ0FBQyxpQkFBaUIsRUFBRSxDQUFDO1NBQzFCO0lBQ0gsQ0FBQztJQUVELG9GQUFvRjtJQUM1RSxVQUFVLENBQUMsS0FBb0I7UUFDckMsTUFBTSxVQUFVLEdBQUcsSUFBSSxDQUFDLFdBQVcsQ0FBQztRQUNwQyxNQUFNLFlBQVksR0FBRyxVQUFVLENBQUMsVUFBVSxDQUFDO1FBQzNDLE1BQU0sT0FBTyxHQUFHLENBQUMsQ0FBQyxZQUFZLElBQUksWUFBWSxDQUFDLFVBQVUsRUFBRSxDQUFDO1FBRTVELFVBQVUsQ0FBQyxjQUFjLENBQUMsVUFBVSxDQUFDLENBQUM7UUFDdEMsVUFBVSxDQUFDLFNBQVMsQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUU1QixNQUFNLFVBQVUsR0FBRyxVQUFVLENBQUMsVUFBVSxDQUFDO1FBRXpDLElBQUksT0FBTyxJQUFJLFVBQVUsS0FBSyxZQUFZLEVBQUU7WUFDMUMsSUFBSSxJQUFJLENBQUMsV0FBVyxLQUFLLFlBQVksSUFBSSxVQUFVLElBQUksVUFBVSxDQUFDLE9BQU8sRUFBRSxFQUFFO2dCQUMzRSxVQUFVLENBQUMsY0FBYyxFQUFHLENBQUMsUUFBUSxFQUFFLENBQUM7YUFDekM7aUJBQU0sSUFBSSxJQUFJLENBQUMsVUFBVSxFQUFFO2dCQUMxQixJQUFJLENBQUMsVUFBVSxDQUFDLGNBQWMsQ0FBQyxJQUFJLENBQUMsQ0FBQzthQUN0QztTQUNGO0lBQ0gsQ0FBQztJQUVELGtGQUFrRjtJQUMxRSxjQUFjO1FBQ3BCLElBQUksQ0FBQyxXQUFXLEdBQUcsSUFBSSxlQUFlLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQzthQUNoRCxRQUFRLEVBQUU7YUFDVixhQUFhLEVBQUU7YUFDZixjQUFjLEVBQUUsQ0FBQztRQUVwQixJQUFJLElBQUksQ0FBQyxXQUFXLEtBQUssWUFBWSxFQUFFO1lBQ3JDLElBQUksQ0FBQyxXQUFXO2lCQUNiLHVCQUF1QixDQUFDLEtBQUssQ0FBQztpQkFDOUIseUJBQXlCLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDO1NBQ25FO1FBRUQsSUFBSSxDQUFDLFdBQVcsQ0FBQyxNQUFNO2FBQ3BCLElBQUksQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLFVBQVUsQ0FBQyxDQUFDO2FBQ2hDLFNBQVMsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxJQUFJLENBQUMsaUJBQWlCLEVBQUUsQ0FBQyxDQUFDO0lBQy9DLENBQUM7SUFFRDs7O09BR0c7SUFDSyxpQkFBaUI7UUFDdkIsSUFBSSxZQUFxQyxDQUFDO1FBRTFDLElBQUksSUFBSSxDQUFDLFNBQVMsRUFBRSxFQUFFO1lBQ3BCLE1BQU0sVUFBVSxHQUFHLElBQUksQ0FBQyxXQUFXLENBQUMsVUFBVSxDQUFDO1lBQy9DLFlBQVksR0FBRyxVQUFVLElBQUksQ0FBQyxVQUFVLENBQUMsUUFBUSxDQUFDLENBQUM7Z0JBQy9DLFVBQVUsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsQ0FBQztTQUMzRDtRQUVELElBQUksQ0FBQyxNQUFNLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLFNBQVMsR0FBRyxJQUFJLEtBQUssWUFBWSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDL0UsQ0FBQztJQUVELDRGQUE0RjtJQUNwRixPQUFPO1FBQ2IsT0FBTyxDQUFDLENBQUMsSUFBSSxDQUFDLFVBQVUsSUFBSSxJQUFJLENBQUMsVUFBVSxDQUFDLElBQUksS0FBSyxJQUFJLENBQUM7SUFDNUQsQ0FBQztJQUVELDRGQUE0RjtJQUNwRixxQkFBcUI7UUFDM0IsSUFBSSxDQUFDLElBQUksQ0FBQyxPQUFPLEVBQUUsRUFBRTtZQUNuQixPQUFPO1NBQ1I7UUFFRCxJQUFJLENBQUMsVUFBVyxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxVQUFVLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxTQUFTLENBQUMsRUFBRTtZQUM5RSxNQUFNLFVBQVUsR0FBRyxJQUFJLENBQUMsV0FBVyxDQUFDO1lBRXBDLElBQUksU0FBUyxLQUFLLFNBQVMsQ0FBQyxRQUFRLElBQUksU0FBUyxLQUFLLFNBQVMsQ0FBQyxZQUFZLEVBQUU7Z0JBQzVFLFVBQVUsQ0FBQyxjQUFjLENBQUMsVUFBVSxDQUFDLENBQUM7Z0JBQ3RDLFNBQVMsS0FBSyxTQUFTLENBQUMsUUFBUSxDQUFDLENBQUM7b0JBQzlCLFVBQVUsQ0FBQyxpQkFBaUIsRUFBRSxDQUFDLENBQUMsQ0FBQyxVQUFVLENBQUMscUJBQXFCLEVBQUUsQ0FBQztnQkFFeEUsa0ZBQWtGO2dCQUNsRixNQUFNLFVBQVUsR0FBRyxVQUFVLENBQUMsVUFBVSxDQUFDO2dCQUN6QyxJQUFJLFVBQVUsSUFBSSxVQUFVLENBQUMsT0FBTyxFQUFFLEVBQUU7b0JBQ3RDLFVBQVUsQ0FBQyxjQUFjLEVBQUcsQ0FBQyxRQUFRLEVBQUUsQ0FBQztpQkFDekM7YUFDRjtpQkFBTSxJQUFJLFNBQVMsS0FBSyxTQUFTLENBQUMsV0FBVyxJQUFJLFVBQVUsQ0FBQyxVQUFVLEVBQUU7Z0JBQ3ZFLFVBQVUsQ0FBQyxjQUFjLENBQUMsVUFBVSxDQUFDLENBQUM7Z0JBQ3RDLFVBQVUsQ0FBQyxhQUFhLENBQUMsVUFBVSxDQUFDLFVBQVUsQ0FBQyxDQUFDO2FBQ2pEO1FBQ0gsQ0FBQyxDQUFDLENBQUM7SUFDTCxDQUFDO0lBRUQsc0ZBQXNGO0lBQzlFLGFBQWE7UUFDbkIsSUFBSSxJQUFJLENBQUMsUUFBUSxFQUFFO1lBQ2pCLE1BQU0sT0FBTyxHQUFHLElBQUksQ0FBQyxRQUFRLENBQUM7WUFFOUIsSUFBSSxDQUFDLE9BQU8sQ0FBQyxpQkFBaUIsQ0FBQyxHQUFHLEVBQUU7Z0JBQ2xDLElBQUksQ0FBQyxlQUFlLEdBQUcsSUFBSSxtQkFBbUIsQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUM7Z0JBQzVELE9BQU8sQ0FBQyxVQUFVLENBQUMsSUFBSSxFQUFFLElBQUksQ0FBQyxlQUFlLENBQUMsQ0FBQztZQUNqRCxDQUFDLENBQUMsQ0FBQztTQUNKO0lBQ0gsQ0FBQzs7O1lBcFFGLFNBQVM7OztZQXJCUixVQUFVO1lBRVYsTUFBTTs7WUFoQkEsY0FBYzs7O2lCQXNDbkIsS0FBSzt3QkFZTCxlQUFlLFNBQUMsV0FBVyxFQUFFLEVBQUMsV0FBVyxFQUFFLElBQUksRUFBQyIsInNvdXJjZXNDb250ZW50IjpbIi8qKlxuICogQGxpY2Vuc2VcbiAqIENvcHlyaWdodCBHb29nbGUgTExDIEFsbCBSaWdodHMgUmVzZXJ2ZWQuXG4gKlxuICogVXNlIG9mIHRoaXMgc291cmNlIGNvZGUgaXMgZ292ZXJuZWQgYnkgYW4gTUlULXN0eWxlIGxpY2Vuc2UgdGhhdCBjYW4gYmVcbiAqIGZvdW5kIGluIHRoZSBMSUNFTlNFIGZpbGUgYXQgaHR0cHM6Ly9hbmd1bGFyLmlvL2xpY2Vuc2VcbiAqL1xuXG5pbXBvcnQge0ZvY3VzS2V5TWFuYWdlciwgRm9jdXNPcmlnaW59IGZyb20gJ0Bhbmd1bGFyL2Nkay9hMTF5JztcbmltcG9ydCB7RGlyZWN0aW9uYWxpdHl9IGZyb20gJ0Bhbmd1bGFyL2Nkay9iaWRpJztcbmltcG9ydCB7XG4gIERPV05fQVJST1csXG4gIEVTQ0FQRSxcbiAgaGFzTW9kaWZpZXJLZXksXG4gIExFRlRfQVJST1csXG4gIFJJR0hUX0FSUk9XLFxuICBUQUIsXG4gIFVQX0FSUk9XLFxufSBmcm9tICdAYW5ndWxhci9jZGsva2V5Y29kZXMnO1xuaW1wb3J0IHtcbiAgQWZ0ZXJDb250ZW50SW5pdCxcbiAgQ29udGVudENoaWxkcmVuLFxuICBEaXJlY3RpdmUsXG4gIEVsZW1lbnRSZWYsXG4gIElucHV0LFxuICBOZ1pvbmUsXG4gIE9uRGVzdHJveSxcbiAgUXVlcnlMaXN0LFxufSBmcm9tICdAYW5ndWxhci9jb3JlJztcbmltcG9ydCB7U3ViamVjdH0gZnJvbSAncnhqcyc7XG5pbXBvcnQge3N0YXJ0V2l0aCwgdGFrZVVudGlsfSBmcm9tICdyeGpzL29wZXJhdG9ycyc7XG5pbXBvcnQge1BvaW50ZXJGb2N1c1RyYWNrZXJ9IGZyb20gJy4vaXRlbS1wb2ludGVyLWVudHJpZXMnO1xuaW1wb3J0IHtNZW51QWltfSBmcm9tICcuL21lbnUtYWltJztcbmltcG9ydCB7TWVudX0gZnJvbSAnLi9tZW51LWludGVyZmFjZSc7XG5pbXBvcnQge0Nka01lbnVJdGVtfSBmcm9tICcuL21lbnUtaXRlbSc7XG5pbXBvcnQge0ZvY3VzTmV4dCwgTWVudVN0YWNrfSBmcm9tICcuL21lbnUtc3RhY2snO1xuXG4vKiogQ291bnRlciB1c2VkIHRvIGNyZWF0ZSB1bmlxdWUgSURzIGZvciBtZW51cy4gKi9cbmxldCBuZXh0SWQgPSAwO1xuXG4vKipcbiAqIEFic3RyYWN0IGRpcmVjdGl2ZSB0aGF0IGltcGxlbWVudHMgdGhlIGJlaGF2aW9yIHNoYXJlZCBieSBgQ2RrTWVudWAgYW5kIGBDZGtNZW51QmFyYCwgc3VjaCBhc1xuICoga2V5Ym9hcmQgbmF2aWdhdGlvbiBiZXR3ZWVuIHRoZSBpdGVtcyBhbmQgYSByb3ZpbmcgdGFiaW5kZXguXG4gKi9cbkBEaXJlY3RpdmUoKVxuZXhwb3J0IGFic3RyYWN0IGNsYXNzIENka01lbnVCYXNlIGltcGxlbWVudHMgTWVudSwgQWZ0ZXJDb250ZW50SW5pdCwgT25EZXN0cm95IHtcbiAgLyoqIFVuaXF1ZSBJRCBvZiB0aGUgbWVudS4gKi9cbiAgQElucHV0KCkgaWQ6IHN0cmluZyA9IGBjZGstbWVudS0ke25leHRJZCsrfWA7XG5cbiAgLyoqIE9yaWVudGF0aW9uIG9mIHRoZSBtZW51J3MgaXRlbXMuICovXG4gIGFic3RyYWN0IG9yaWVudGF0aW9uOiAnaG9yaXpvbnRhbCcgfCAndmVydGljYWwnO1xuXG4gIC8qKlxuICAgKiBTdGFjayBvZiB0aGUgb3BlbiBtZW51cyB0aGF0IHRoZSBtZW51IGJlbG9uZ3MgdG8uXG4gICAqIEBkb2NzLXByaXZhdGVcbiAgICovXG4gIF9tZW51U3RhY2s6IE1lbnVTdGFjayB8IG51bGwgPSBudWxsO1xuXG4gIC8qKiBBbGwgb2YgdGhlIG1lbnUgaXRlbXMgaW5zaWRlIG9mIHRoZSBtZW51LCBpbmNsdWRpbmcgdGhlIG9uZXMgb2YgbmVzdGVkIG1lbnVzLiAqL1xuICBAQ29udGVudENoaWxkcmVuKENka01lbnVJdGVtLCB7ZGVzY2VuZGFudHM6IHRydWV9KSBfYWxsSXRlbXM6IFF1ZXJ5TGlzdDxDZGtNZW51SXRlbT47XG5cbiAgLyoqXG4gICAqIE1lbnUgaXRlbXMgd2hpY2ggYmVsb25nIGRpcmVjdGx5IHRvIHRoZSBtZW51LlxuICAgKiBAZG9jcy1wcml2YXRlXG4gICAqL1xuICByZWFkb25seSBfaXRlbXMgPSBuZXcgUXVlcnlMaXN0PENka01lbnVJdGVtPigpO1xuXG4gIC8qKiBIYW5kbGVzIGtleWJvYXJkIGV2ZW50cyBmb3IgdGhlIG1lbnUuICovXG4gIHByb3RlY3RlZCBfa2V5TWFuYWdlcjogRm9jdXNLZXlNYW5hZ2VyPENka01lbnVJdGVtPjtcblxuICAvKiogRW1pdHMgd2hlbiB0aGUgbWVudSBpcyBkZXN0cm95ZWQuICovXG4gIHByb3RlY3RlZCByZWFkb25seSBfZGVzdHJveWVkID0gbmV3IFN1YmplY3Q8dm9pZD4oKTtcblxuICAvKiogS2VlcHMgdHJhY2sgb2YgdGhlIGl0ZW0gdGhhdCBpcyB1bmRlciB0aGUgdXNlcidzIHBvaW50ZXIuICovXG4gIHByaXZhdGUgX3BvaW50ZXJUcmFja2VyOiBQb2ludGVyRm9jdXNUcmFja2VyPENka01lbnVJdGVtPiB8IG51bGwgPSBudWxsO1xuXG4gIC8qKiBJdGVtIHRoYXQgc2hvdWxkIGJlIGZvY3VzZWQgb25jZSB0aGUgaXRlbXMgaGF2ZSBiZWVuIGluaXRpYWxpemVkLiAqL1xuICBwcml2YXRlIF9wZW5kaW5nRm9jdXM6IHtwb3NpdGlvbjogJ2ZpcnN0JyB8ICdsYXN0Jywgb3JpZ2luOiBGb2N1c09yaWdpbn0gfCBudWxsID0gbnVsbDtcblxuICBjb25zdHJ1Y3RvcihcbiAgICByZWFkb25seSBfZWxlbWVudFJlZjogRWxlbWVudFJlZjxIVE1MRWxlbWVudD4sXG4gICAgcHJvdGVjdGVkIHJlYWRvbmx5IF9uZ1pvbmU6IE5nWm9uZSxcbiAgICBwcml2YXRlIHJlYWRvbmx5IF9tZW51QWltPzogTWVudUFpbSxcbiAgICBwcm90ZWN0ZWQgcmVhZG9ubHkgX2Rpcj86IERpcmVjdGlvbmFsaXR5KSB7fVxuXG4gIG5nQWZ0ZXJDb250ZW50SW5pdCgpIHtcbiAgICB0aGlzLl9zZXRLZXlNYW5hZ2VyKCk7XG5cbiAgICB0aGlzLl9hbGxJdGVtcy5jaGFuZ2VzXG4gICAgICAucGlwZShzdGFydFdpdGgodGhpcy5fYWxsSXRlbXMpLCB0YWtlVW50aWwodGhpcy5fZGVzdHJveWVkKSlcbiAgICAgIC5zdWJzY3JpYmUoKGl0ZW1zOiBRdWVyeUxpc3Q8Q2RrTWVudUl0ZW0+KSA9PiB7XG4gICAgICAgIHRoaXMuX2l0ZW1zLnJlc2V0KGl0ZW1zLmZpbHRlcihpdGVtID0+IGl0ZW0uX3BhcmVudE1lbnUgPT09IHRoaXMpKTtcbiAgICAgICAgdGhpcy5faXRlbXMubm90aWZ5T25DaGFuZ2VzKCk7XG4gICAgICAgIHRoaXMuX3VwZGF0ZVRhYkluZGljZXMoKTtcbiAgICAgIH0pO1xuXG4gICAgdGhpcy5fc3Vic2NyaWJlVG9NZW51U3RhY2soKTtcbiAgICB0aGlzLl9zZXRVcE1lbnVBaW0oKTtcblxuICAgIGlmICh0aGlzLl9wZW5kaW5nRm9jdXMpIHtcbiAgICAgIGNvbnN0IHtwb3NpdGlvbiwgb3JpZ2lufSA9IHRoaXMuX3BlbmRpbmdGb2N1cztcbiAgICAgIHRoaXMuX3BlbmRpbmdGb2N1cyA9IG51bGw7XG4gICAgICBwb3NpdGlvbiA9PT0gJ2ZpcnN0JyA/IHRoaXMuZm9jdXNGaXJzdEl0ZW0ob3JpZ2luKSA6IHRoaXMuZm9jdXNMYXN0SXRlbShvcmlnaW4pO1xuICAgIH1cbiAgfVxuXG4gIG5nT25EZXN0cm95KCkge1xuICAgIHRoaXMuX2Rlc3Ryb3llZC5uZXh0KCk7XG4gICAgdGhpcy5fZGVzdHJveWVkLmNvbXBsZXRlKCk7XG5cbiAgICBpZiAodGhpcy5fcG9pbnRlclRyYWNrZXIpIHtcbiAgICAgIHRoaXMuX3BvaW50ZXJUcmFja2VyLmRlc3Ryb3koKTtcbiAgICB9XG5cbiAgICBpZiAodGhpcy5faXNSb290KCkpIHtcbiAgICAgIHRoaXMuX21lbnVTdGFjayEuY2xvc2VBbGwoKTtcbiAgICAgIHRoaXMuX21lbnVTdGFjayEuZGVzdHJveSgpO1xuICAgIH1cbiAgfVxuXG4gIC8qKiBNb3ZlcyBmb2N1cyB0byB0aGUgZmlyc3QgaXRlbSBvZiB0aGUgbWVudS4gKi9cbiAgZm9jdXNGaXJzdEl0ZW0oZm9jdXNPcmlnaW46IEZvY3VzT3JpZ2luID0gJ3Byb2dyYW0nKSB7XG4gICAgaWYgKHRoaXMuX2tleU1hbmFnZXIpIHtcbiAgICAgIHRoaXMuX2tleU1hbmFnZXIuc2V0Rm9jdXNPcmlnaW4oZm9jdXNPcmlnaW4pO1xuICAgICAgdGhpcy5fa2V5TWFuYWdlci5zZXRGaXJzdEl0ZW1BY3RpdmUoKTtcbiAgICB9IGVsc2Uge1xuICAgICAgdGhpcy5fcGVuZGluZ0ZvY3VzID0ge3Bvc2l0aW9uOiAnZmlyc3QnLCBvcmlnaW46IGZvY3VzT3JpZ2lufTtcbiAgICB9XG4gIH1cblxuICAvKiogTW92ZXMgZm9jdXMgdG8gdGhlIGxhc3QgaXRlbSBvZiB0aGUgbWVudS4gKi9cbiAgZm9jdXNMYXN0SXRlbShmb2N1c09yaWdpbjogRm9jdXNPcmlnaW4gPSAncHJvZ3JhbScpIHtcbiAgICBpZiAodGhpcy5fa2V5TWFuYWdlcikge1xuICAgICAgdGhpcy5fa2V5TWFuYWdlci5zZXRGb2N1c09yaWdpbihmb2N1c09yaWdpbik7XG4gICAgICB0aGlzLl9rZXlNYW5hZ2VyLnNldExhc3RJdGVtQWN0aXZlKCk7XG4gICAgfSBlbHNlIHtcbiAgICAgIHRoaXMuX3BlbmRpbmdGb2N1cyA9IHtwb3NpdGlvbjogJ2xhc3QnLCBvcmlnaW46IGZvY3VzT3JpZ2lufTtcbiAgICB9XG4gIH1cblxuICAvKipcbiAgICogV2hldGhlciB0aGUgbWVudSBpcyBhbHdheXMgcmVuZGVyZWQgaW4gdGhlIHBhZ2UsIGFzIG9wcG9zZWQgdG8gaW5zaWRlIG9mIGFuIG92ZXJsYXkuXG4gICAqIEBkb2NzLXByaXZhdGVcbiAgICovXG4gIGFic3RyYWN0IF9pc0lubGluZSgpOiBib29sZWFuO1xuXG4gIC8qKlxuICAgKiBIYW5kbGVzIGtleWJvYXJkIGV2ZW50cyBmb3IgdGhlIG1lbnUuXG4gICAqIEBkb2NzLXByaXZhdGVcbiAgICovXG4gIF9oYW5kbGVLZXlFdmVudChldmVudDogS2V5Ym9hcmRFdmVudCkge1xuICAgIGNvbnN0IGtleU1hbmFnZXIgPSB0aGlzLl9rZXlNYW5hZ2VyO1xuXG4gICAgaWYgKCFrZXlNYW5hZ2VyKSB7XG4gICAgICByZXR1cm47XG4gICAgfVxuXG4gICAgc3dpdGNoIChldmVudC5rZXlDb2RlKSB7XG4gICAgICBjYXNlIEVTQ0FQRTpcbiAgICAgICAgaWYgKCFoYXNNb2RpZmllcktleShldmVudCkgJiYgdGhpcy5fbWVudVN0YWNrICYmICF0aGlzLl9tZW51U3RhY2suaXNFbXB0eSgpKSB7XG4gICAgICAgICAgZXZlbnQucHJldmVudERlZmF1bHQoKTtcblxuICAgICAgICAgIGlmICh0aGlzLl9pc0lubGluZSgpKSB7XG4gICAgICAgICAgICB0aGlzLl9tZW51U3RhY2suY2xvc2VBbGwoe2ZvY3VzTmV4dE9uRW1wdHk6IEZvY3VzTmV4dC5jdXJyZW50SXRlbX0pO1xuICAgICAgICAgIH0gZWxzZSB7XG4gICAgICAgICAgICB0aGlzLl9tZW51U3RhY2suY2xvc2UodGhpcywge1xuICAgICAgICAgICAgICBmb2N1c05leHRPbkVtcHR5OiBGb2N1c05leHQuY3VycmVudEl0ZW0sXG4gICAgICAgICAgICAgIGZvY3VzUGFyZW50VHJpZ2dlcjogdHJ1ZSxcbiAgICAgICAgICAgIH0pO1xuICAgICAgICAgIH1cbiAgICAgICAgfVxuICAgICAgICBicmVhaztcblxuICAgICAgY2FzZSBUQUI6XG4gICAgICAgIC8vIEZvY3VzIGlzIG1vdmVkIGJhY2sgdG8gdGhlIHJvb3QgbWVudSBiZWZvcmUgdGhlIGJyb3dzZXIgaGFuZGxlc1xuICAgICAgICAvLyB0aGUgdGFiIGtleSBzbyB0aGF0IGZvY3VzIG1vdmVzIHRvIHRoZSBlbGVtZW50IGFmdGVyIGl0LlxuICAgICAgICBpZiAodGhpcy5fbWVudVN0YWNrKSB7XG4gICAgICAgICAgdGhpcy5fbWVudVN0YWNrLmNsb3NlQWxsKHtmb2N1c1BhcmVudFRyaWdnZXI6ICF0aGlzLl9pc0lubGluZSgpfSk7XG4gICAgICAgIH1cbiAgICAgICAgYnJlYWs7XG5cbiAgICAgIGNhc2UgTEVGVF9BUlJPVzpcbiAgICAgIGNhc2UgUklHSFRfQVJST1c6XG4gICAgICBjYXNlIFVQX0FSUk9XOlxuICAgICAgY2FzZSBET1dOX0FSUk9XOlxuICAgICAgICB0aGlzLl9tb3ZlRm9jdXMoZXZlbnQpO1xuICAgICAgICBicmVhaztcblxuICAgICAgZGVmYXVsdDpcbiAgICAgICAga2V5TWFuYWdlci5zZXRGb2N1c09yaWdpbigna2V5Ym9hcmQnKTtcbiAgICAgICAga2V5TWFuYWdlci5vbktleWRvd24oZXZlbnQpO1xuICAgIH1cbiAgfVxuXG4gIC8qKlxuICAgKiBLZWVwcyB0aGUga2V5IG1hbmFnZXIgaW4gc3luYyB3aGVuIG9uZSBvZiB0aGUgaXRlbXMgaXMgZm9jdXNlZCB0aHJvdWdoIG90aGVyIG1lYW5zLFxuICAgKiBlLmcuIHdoZW4gdGhlIHVzZXIgY2xpY2tzIG9uIGl0LlxuICAgKiBAZG9jcy1wcml2YXRlXG4gICAqL1xuICBfaGFuZGxlRm9jdXNJbihldmVudDogRm9jdXNFdmVudCkge1xuICAgIGNvbnN0IHRhcmdldCA9IGV2ZW50LnRhcmdldCBhcyBOb2RlO1xuICAgIGNvbnN0IGl0ZW0gPSB0aGlzLl9pdGVtcy5maW5kKGN1cnJlbnQgPT4gY3VycmVudC5fZWxlbWVudFJlZi5uYXRpdmVFbGVtZW50LmNvbnRhaW5zKHRhcmdldCkpO1xuXG4gICAgaWYgKGl0ZW0gJiYgdGhpcy5fa2V5TWFuYWdlciAmJiBpdGVtICE9PSB0aGlzLl9rZXlNYW5hZ2VyLmFjdGl2ZUl0ZW0pIHtcbiAgICAgIHRoaXMuX2tleU1hbmFnZXIudXBkYXRlQWN0aXZlSXRlbShpdGVtKTtcbiAgICAgIHRoaXMuX3VwZGF0ZVRhYkluZGljZXMoKTtcbiAgICB9XG4gIH1cblxuICAvKiogTW92ZXMgZm9jdXMgYmV0d2VlbiB0aGUgaXRlbXMsIGtlZXBpbmcgYSBzdWJtZW51IG9wZW4gaWYgb25lIHdhcyBvcGVuIGJlZm9yZS4gKi9cbiAgcHJpdmF0ZSBfbW92ZUZvY3VzKGV2ZW50OiBLZXlib2FyZEV2ZW50KSB7XG4gICAgY29uc3Qga2V5TWFuYWdlciA9IHRoaXMuX2tleU1hbmFnZXI7XG4gICAgY29uc3QgcHJldmlvdXNJdGVtID0ga2V5TWFuYWdlci5hY3RpdmVJdGVtO1xuICAgIGNvbnN0IHdhc09wZW4gPSAhIXByZXZpb3VzSXRlbSAmJiBwcmV2aW91c0l0ZW0uaXNNZW51T3BlbigpO1xuXG4gICAga2V5TWFuYWdlci5zZXRGb2N1c09yaWdpbigna2V5Ym9hcmQnKTtcbiAgICBrZXlNYW5hZ2VyLm9uS2V5ZG93bihldmVudCk7XG5cbiAgICBjb25zdCBhY3RpdmVJdGVtID0ga2V5TWFuYWdlci5hY3RpdmVJdGVtO1xuXG4gICAgaWYgKHdhc09wZW4gJiYgYWN0aXZlSXRlbSAhPT0gcHJldmlvdXNJdGVtKSB7XG4gICAgICBpZiAodGhpcy5vcmllbnRhdGlvbiA9PT0gJ2hvcml6b250YWwnICYmIGFjdGl2ZUl0ZW0gJiYgYWN0aXZlSXRlbS5oYXNNZW51KCkpIHtcbiAgICAgICAgYWN0aXZlSXRlbS5nZXRNZW51VHJpZ2dlcigpIS5vcGVuTWVudSgpO1xuICAgICAgfSBlbHNlIGlmICh0aGlzLl9tZW51U3RhY2spIHtcbiAgICAgICAgdGhpcy5fbWVudVN0YWNrLmNsb3NlU3ViTWVudU9mKHRoaXMpO1xuICAgICAgfVxuICAgIH1cbiAgfVxuXG4gIC8qKiBTZXRzIHVwIHRoZSBrZXkgbWFuYWdlciB0aGF0IGhhbmRsZXMga2V5Ym9hcmQgbmF2aWdhdGlvbiBiZXR3ZWVuIHRoZSBpdGVtcy4gKi9cbiAgcHJpdmF0ZSBfc2V0S2V5TWFuYWdlcigpIHtcbiAgICB0aGlzLl9rZXlNYW5hZ2VyID0gbmV3IEZvY3VzS2V5TWFuYWdlcih0aGlzLl9pdGVtcylcbiAgICAgIC53aXRoV3JhcCgpXG4gICAgICAud2l0aFR5cGVBaGVhZCgpXG4gICAgICAud2l0aEhvbWVBbmRFbmQoKTtcblxuICAgIGlmICh0aGlzLm9yaWVudGF0aW9uID09PSAnaG9yaXpvbnRhbCcpIHtcbiAgICAgIHRoaXMuX2tleU1hbmFnZXJcbiAgICAgICAgLndpdGhWZXJ0aWNhbE9yaWVudGF0aW9uKGZhbHNlKVxuICAgICAgICAud2l0aEhvcml6b250YWxPcmllbnRhdGlvbih0aGlzLl9kaXIgPyB0aGlzLl9kaXIudmFsdWUgOiAnbHRyJyk7XG4gICAgfVxuXG4gICAgdGhpcy5fa2V5TWFuYWdlci5jaGFuZ2VcbiAgICAgIC5waXBlKHRha2VVbnRpbCh0aGlzLl9kZXN0cm95ZWQpKVxuICAgICAgLnN1YnNjcmliZSgoKSA9PiB0aGlzLl91cGRhdGVUYWJJbmRpY2VzKCkpO1xuICB9XG5cbiAgLyoqXG4gICAqIEltcGxlbWVudHMgYSByb3ZpbmcgdGFiaW5kZXggZm9yIGlubGluZSBtZW51cywgd2hlcmUgb25seSB0aGUgYWN0aXZlIGl0ZW0gY2FuIGJlIHJlYWNoZWRcbiAgICogYnkgdGFiYmluZy4gSXRlbXMgb2YgbWVudXMgaW4gYW4gb3ZlcmxheSBhcmUgbmV2ZXIgdGFiYmFibGUuXG4gICAqL1xuICBwcml2YXRlIF91cGRhdGVUYWJJbmRpY2VzKCkge1xuICAgIGxldCB0YWJiYWJsZUl0ZW06IENka01lbnVJdGVtIHwgdW5kZWZpbmVkO1xuXG4gICAgaWYgKHRoaXMuX2lzSW5saW5lKCkpIHtcbiAgICAgIGNvbnN0IGFjdGl2ZUl0ZW0gPSB0aGlzLl9rZXlNYW5hZ2VyLmFjdGl2ZUl0ZW07XG4gICAgICB0YWJiYWJsZUl0ZW0gPSBhY3RpdmVJdGVtICYmICFhY3RpdmVJdGVtLmRpc2FibGVkID9cbiAgICAgICAgICBhY3RpdmVJdGVtIDogdGhpcy5faXRlbXMuZmluZChpdGVtID0+ICFpdGVtLmRpc2FibGVkKTtcbiAgICB9XG5cbiAgICB0aGlzLl9pdGVtcy5mb3JFYWNoKGl0ZW0gPT4gaXRlbS5fdGFiaW5kZXggPSBpdGVtID09PSB0YWJiYWJsZUl0ZW0gPyAwIDogLTEpO1xuICB9XG5cbiAgLyoqIFdoZXRoZXIgdGhlIG1lbnUgaXMgdGhlIG9uZSBmcm9tIHdoaWNoIHRoZSByZXN0IG9mIHRoZSBtZW51cyBpbiB0aGUgc3RhY2sgYXJlIG9wZW5lZC4gKi9cbiAgcHJpdmF0ZSBfaXNSb290KCk6IGJvb2xlYW4ge1xuICAgIHJldHVybiAhIXRoaXMuX21lbnVTdGFjayAmJiB0aGlzLl9tZW51U3RhY2sucm9vdCA9PT0gdGhpcztcbiAgfVxuXG4gIC8qKiBNb3ZlcyBmb2N1cyB3aXRoaW4gdGhlIHJvb3QgbWVudSBvbmNlIGFsbCBvZiB0aGUgbWVudXMgaW4gdGhlIHN0YWNrIGhhdmUgYmVlbiBjbG9zZWQuICovXG4gIHByaXZhdGUgX3N1YnNjcmliZVRvTWVudVN0YWNrKCkge1xuICAgIGlmICghdGhpcy5faXNSb290KCkpIHtcbiAgICAgIHJldHVybjtcbiAgICB9XG5cbiAgICB0aGlzLl9tZW51U3RhY2shLmVtcHRpZWQucGlwZSh0YWtlVW50aWwodGhpcy5fZGVzdHJveWVkKSkuc3Vic2NyaWJlKGZvY3VzTmV4dCA9PiB7XG4gICAgICBjb25zdCBrZXlNYW5hZ2VyID0gdGhpcy5fa2V5TWFuYWdlcjtcblxuICAgICAgaWYgKGZvY3VzTmV4dCA9PT0gRm9jdXNOZXh0Lm5leHRJdGVtIHx8IGZvY3VzTmV4dCA9PT0gRm9jdXNOZXh0LnByZXZpb3VzSXRlbSkge1xuICAgICAgICBrZXlNYW5hZ2VyLnNldEZvY3VzT3JpZ2luKCdrZXlib2FyZCcpO1xuICAgICAgICBmb2N1c05leHQgPT09IEZvY3VzTmV4dC5uZXh0SXRlbSA/XG4gICAgICAgICAgICBrZXlNYW5hZ2VyLnNldE5leHRJdGVtQWN0aXZlKCkgOiBrZXlNYW5hZ2VyLnNldFByZXZpb3VzSXRlbUFjdGl2ZSgpO1xuXG4gICAgICAgIC8vIE9wZW4gdGhlIG1lbnUgb2YgdGhlIG5ld2x5IGZvY3VzZWQgaXRlbSB3aGlsZSBrZWVwaW5nIGZvY3VzIG9uIHRoZSBpdGVtIGl0c2VsZi5cbiAgICAgICAgY29uc3QgYWN0aXZlSXRlbSA9IGtleU1hbmFnZXIuYWN0aXZlSXRlbTtcbiAgICAgICAgaWYgKGFjdGl2ZUl0ZW0gJiYgYWN0aXZlSXRlbS5oYXNNZW51KCkpIHtcbiAgICAgICAgICBhY3RpdmVJdGVtLmdldE1lbnVUcmlnZ2VyKCkhLm9wZW5NZW51KCk7XG4gICAgICAgIH1cbiAgICAgIH0gZWxzZSBpZiAoZm9jdXNOZXh0ID09PSBGb2N1c05leHQuY3VycmVudEl0ZW0gJiYga2V5TWFuYWdlci5hY3RpdmVJdGVtKSB7XG4gICAgICAgIGtleU1hbmFnZXIuc2V0Rm9jdXNPcmlnaW4oJ2tleWJvYXJkJyk7XG4gICAgICAgIGtleU1hbmFnZXIuc2V0QWN0aXZlSXRlbShrZXlNYW5hZ2VyLmFjdGl2ZUl0ZW0pO1xuICAgICAgfVxuICAgIH0pO1xuICB9XG5cbiAgLyoqIFNldHMgdXAgdGhlIG1lbnUgYWltIHNlcnZpY2UsIGlmIG9uZSB3YXMgcHJvdmlkZWQsIHRvIHRyYWNrIHRoZSB1c2VyJ3MgcG9pbnRlci4gKi9cbiAgcHJpdmF0ZSBfc2V0VXBNZW51QWltKCkge1xuICAgIGlmICh0aGlzLl9tZW51QWltKSB7XG4gICAgICBjb25zdCBtZW51QWltID0gdGhpcy5fbWVudUFpbTtcblxuICAgICAgdGhpcy5fbmdab25lLnJ1bk91dHNpZGVBbmd1bGFyKCgpID0+IHtcbiAgICAgICAgdGhpcy5fcG9pbnRlclRyYWNrZXIgPSBuZXcgUG9pbnRlckZvY3VzVHJhY2tlcih0aGlzLl9pdGVtcyk7XG4gICAgICAgIG1lbnVBaW0uaW5pdGlhbGl6ZSh0aGlzLCB0aGlzLl9wb2ludGVyVHJhY2tlcik7XG4gICAgICB9KTtcbiAgICB9XG4gIH1cbn1cbiJdfQ==
\ No newline at end of file
@@ -0,0 +1,11 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { InjectionToken } from '@angular/core';
+/** Injection token used to return classes implementing the Menu interface. */
+export const CDK_MENU = new InjectionToken('cdk-menu');
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoibWVudS1pbnRlcmZhY2UuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyIuLi8uLi8uLi8uLi8uLi8uLi9zcmMvY2RrL21lbnUvbWVudS1pbnRlcmZhY2UudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUE7Ozs7OztHQU1HO0FBR0gsT0FBTyxFQUFhLGNBQWMsRUFBQyxNQUFNLGVBQWUsQ0FBQztBQUd6RCw4RUFBOEU7QUFDOUUsTUFBTSxDQUFDLE1BQU0sUUFBUSxHQUFHLElBQUksY0FBYyxDQUFPLFVBQVUsQ0FBQyxDQUFDIiwic291cmNlc0NvbnRlbnQiOlsiLyoqXG4gKiBAbGljZW5zZVxuICogQ29weXJpZ2h0IEdvb2dsZSBMTEMgQWxsIFJpZ2h0cyBSZXNlcnZlZC5cbiAqXG4gKiBVc2Ugb2YgdGhpcyBzb3VyY2UgY29kZSBpcyBnb3Zlcm5lZCBieSBhbiBNSVQtc3R5bGUgbGljZW5zZSB0aGF0IGNhbiBiZVxuICogZm91bmQgaW4gdGhlIExJQ0VOU0UgZmlsZSBhdCBodHRwczovL2FuZ3VsYXIuaW8vbGljZW5zZVxuICovXG5cbmltcG9ydCB7Rm9jdXNPcmlnaW59IGZyb20gJ0Bhbmd1bGFyL2Nkay9hMTF5JztcbmltcG9ydCB7RWxlbWVudFJlZiwgSW5qZWN0aW9uVG9rZW59IGZyb20gJ0Bhbmd1bGFyL2NvcmUnO1xuaW1wb3J0IHtNZW51U3RhY2tJdGVtfSBmcm9tICcuL21lbnUtc3RhY2snO1xuXG4vKiogSW5qZWN0aW9uIHRva2VuIHVzZWQgdG8gcmV0dXJuIGNsYXNzZXMgaW1wbGVtZW50aW5nIHRoZSBNZW51IGludGVyZmFjZS4gKi9cbmV4cG9ydCBjb25zdCBDREtfTUVOVSA9IG5ldyBJbmplY3Rpb25Ub2tlbjxNZW51PignY2RrLW1lbnUnKTtcblxuLyoqIEludGVyZmFjZSB3aGljaCBzcGVjaWZpZXMgTWVudSBvcGVyYXRpb25zIGFuZCB1c2VkIHRvIGJyZWFrIGNpcmN1bGFyIGRlcGVuZGVuY3kgaXNzdWVzLiAqL1xuZXhwb3J0IGludGVyZmFjZSBNZW51IGV4dGVuZHMgTWVudVN0YWNrSXRlbSB7XG4gIC8qKiBFbGVtZW50IHdoaWNoIHRoZSBtZW51IGlzIGF0dGFjaGVkIHRvLiAqL1xuICBfZWxlbWVudFJlZjogRWxlbWVudFJlZjxIVE1MRWxlbWVudD47XG5cbiAgLyoqIE9yaWVudGF0aW9uIG9mIHRoZSBtZW51J3MgaXRlbXMuICovXG4gIG9yaWVudGF0aW9uOiAnaG9yaXpvbnRhbCcgfCAndmVydGljYWwnO1xuXG4gIC8qKiBVbmlxdWUgSUQgb2YgdGhlIG1lbnUuICovXG4gIGlkOiBzdHJpbmc7XG5cbiAgLyoqIE1vdmVzIGZvY3VzIHRvIHRoZSBmaXJzdCBpdGVtIG9mIHRoZSBtZW51LiAqL1xuICBmb2N1c0ZpcnN0SXRlbShmb2N1c09yaWdpbj86IEZvY3VzT3JpZ2luKTogdm9pZDtcblxuICAvKiogTW92ZXMgZm9jdXMgdG8gdGhlIGxhc3QgaXRlbSBvZiB0aGUgbWVudS4gKi9cbiAgZm9jdXNMYXN0SXRlbShmb2N1c09yaWdpbj86IEZvY3VzT3JpZ2luKTogdm9pZDtcbn1cbiJdfQ==
\ No newline at end of file
@@ -0,0 +1,247 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { Directionality } from '@angular/cdk/bidi';
+import { coerceBooleanProperty } from '@angular/cdk/coercion';
+import { ENTER, hasModifierKey, LEFT_ARROW, RIGHT_ARROW, SPACE } from '@angular/cdk/keycodes';
+import { Directive, ElementRef, EventEmitter, Inject, Input, NgZone, Optional, Output, Self, } from '@angular/core';
+import { fromEvent, Subject } from 'rxjs';
+import { takeUntil } from 'rxjs/operators';
+import { MENU_AIM } from './menu-aim';
+import { CDK_MENU } from './menu-interface';
+import { FocusNext } from './menu-stack';
+import { CdkMenuTrigger } from './menu-trigger';
+/**
+ * Directive which provides the ability for an element to be focused and navigated to using the
+ * keyboard when residing in a CdkMenu, CdkMenuBar, or CdkMenuGroup. It performs user defined
+ * behavior when clicked, or opens a submenu when combined with a `cdkMenuTriggerFor`.
+ */
+export class CdkMenuItem {
+    constructor(_elementRef, _ngZone, 
+    /** The menu that the item belongs to. */
+    _parentMenu, 
+    /** Reference to the provided menu aim service. */
+    _menuAim, _dir, 
+    /** Reference to the CdkMenuTrigger directive if one is added to the same element. */
+    _menuTrigger) {
+        this._elementRef = _elementRef;
+        this._ngZone = _ngZone;
+        this._parentMenu = _parentMenu;
+        this._menuAim = _menuAim;
+        this._dir = _dir;
+        this._menuTrigger = _menuTrigger;
+        this._disabled = false;
+        /**
+         * The text used to locate this item during menu typeahead. If not specified,
+         * the `textContent` of the item will be used.
+         */
+        this.typeaheadLabel = null;
+        /**
+         * If this MenuItem is a regular MenuItem, outputs when it is triggered by a keyboard or mouse
+         * event.
+         */
+        this.triggered = new EventEmitter();
+        /**
+         * The tabindex for this menu item managed internally and used for implementing roving a
+         * tab index.
+         * @docs-private
+         */
+        this._tabindex = -1;
+        /** Emits when the menu item is destroyed. */
+        this._destroyed = new Subject();
+        // Items outside of a menu have to be reachable through the keyboard on their own.
+        if (!_parentMenu) {
+            this._tabindex = 0;
+        }
+        this._setupMouseEnter();
+    }
+    /** Whether the menu item is disabled. */
+    get disabled() { return this._disabled; }
+    set disabled(value) {
+        this._disabled = coerceBooleanProperty(value);
+        // Disabled items shouldn't be able to open their submenu either.
+        if (this._menuTrigger) {
+            this._menuTrigger.disabled = this._disabled;
+        }
+    }
+    /** Place focus on the element. */
+    focus() {
+        this._elementRef.nativeElement.focus();
+    }
+    /**
+     * If the menu item is not disabled and the element does not have a menu trigger attached, emit
+     * on the cdkMenuItemTriggered emitter and close all open menus.
+     */
+    trigger() {
+        if (!this.disabled && !this.hasMenu()) {
+            this.triggered.next();
+            const menuStack = this._getMenuStack();
+            if (menuStack) {
+                menuStack.closeAll({ focusParentTrigger: true });
+            }
+        }
+    }
+    /** Whether the menu item opens a menu. */
+    hasMenu() {
+        return !!this._menuTrigger && this._menuTrigger.hasMenu();
+    }
+    /** Return true if this MenuItem has an attached menu and it is open. */
+    isMenuOpen() {
+        return !!this._menuTrigger && this._menuTrigger.isMenuOpen();
+    }
+    /**
+     * Get a reference to the rendered Menu if the Menu is open and it is visible in the DOM.
+     * @return the menu if it is open, otherwise undefined.
+     */
+    getMenu() {
+        return this._menuTrigger ? this._menuTrigger.getMenu() : undefined;
+    }
+    /** Get the CdkMenuTrigger associated with this element. */
+    getMenuTrigger() {
+        return this._menuTrigger;
+    }
+    /** Get the label for this element which is required by the FocusableOption interface. */
+    getLabel() {
+        if (this.typeaheadLabel) {
+            return this.typeaheadLabel;
+        }
+        const textContent = this._elementRef.nativeElement.textContent;
+        return textContent ? textContent.trim() : '';
+    }
+    ngOnDestroy() {
+        this._destroyed.next();
+        this._destroyed.complete();
+    }
+    /**
+     * Handles keyboard events for the menu item, specifically either triggering the user defined
+     * callback or closing the menus when moving back towards the root menu.
+     * @docs-private
+     */
+    _onKeydown(event) {
+        if (hasModifierKey(event)) {
+            return;
+        }
+        switch (event.keyCode) {
+            case SPACE:
+            case ENTER:
+                // Items with a submenu are toggled by their trigger.
+                if (!this.hasMenu()) {
+                    event.preventDefault();
+                    this.trigger();
+                }
+                break;
+            case RIGHT_ARROW:
+            case LEFT_ARROW:
+                if (this._parentMenu && this._parentMenu.orientation === 'vertical') {
+                    const isRtl = !!this._dir && this._dir.value === 'rtl';
+                    if ((event.keyCode === LEFT_ARROW) !== isRtl) {
+                        this._backArrowPressed(event);
+                    }
+                    else if (!this.hasMenu()) {
+                        // The arrow pointing away from the root menu is handled by
+                        // the trigger if the item opens a submenu.
+                        this._forwardArrowPressed(event);
+                    }
+                }
+                break;
+        }
+    }
+    /**
+     * Closes the parent menu when the user presses the arrow pointing back towards the root menu.
+     * If the menus were opened from a horizontal root menu (e.g. a menu bar), the root menu moves
+     * focus to its previous item once all of the menus are closed.
+     */
+    _backArrowPressed(event) {
+        const menuStack = this._getMenuStack();
+        // Items of a menu which isn't part of the stack (e.g. an inline menu) have nowhere to go.
+        if (menuStack && !menuStack.isEmpty() && this._parentMenu !== menuStack.root) {
+            event.preventDefault();
+            menuStack.close(this._parentMenu, {
+                focusNextOnEmpty: menuStack.hasRootWithOrientation('horizontal') ?
+                    FocusNext.previousItem : FocusNext.currentItem,
+                focusParentTrigger: true,
+            });
+        }
+    }
+    /**
+     * Closes all of the menus when the user presses the arrow pointing away from the root menu on
+     * an item without a submenu, if the root menu is horizontal. The root menu then moves focus to
+     * its next item.
+     */
+    _forwardArrowPressed(event) {
+        const menuStack = this._getMenuStack();
+        if (menuStack && !menuStack.isEmpty() && menuStack.hasRootWithOrientation('horizontal')) {
+            event.preventDefault();
+            menuStack.closeAll({ focusNextOnEmpty: FocusNext.nextItem });
+        }
+    }
+    /**
+     * Subscribe to the mouseenter events and close any sibling menu items if this element is moused
+     * into. If the item opens a submenu, the submenu is opened instead.
+     */
+    _setupMouseEnter() {
+        if (!this._parentMenu) {
+            return;
+        }
+        const toggleMenus = () => this._ngZone.run(() => {
+            if (this.hasMenu()) {
+                this._menuTrigger.openMenu();
+            }
+            else {
+                const menuStack = this._getMenuStack();
+                if (menuStack) {
+                    menuStack.closeSubMenuOf(this._parentMenu);
+                }
+            }
+        });
+        this._ngZone.runOutsideAngular(() => {
+            fromEvent(this._elementRef.nativeElement, 'mouseenter')
+                .pipe(takeUntil(this._destroyed))
+                .subscribe(() => {
+                const menuStack = this._getMenuStack();
+                // Menus are only opened on hover if the user has already opened one,
+                // for example by clicking on one of the items of a menu bar.
+                if (!this.disabled && menuStack && !menuStack.isEmpty() && !this.isMenuOpen()) {
+                    this._menuAim ? this._menuAim.toggle(toggleMenus) : toggleMenus();
+                }
+            });
+        });
+    }
+    /** Gets the stack of menus that the item's parent menu belongs to. */
+    _getMenuStack() {
+        return this._parentMenu ? this._parentMenu._menuStack : null;
+    }
+}
+CdkMenuItem.decorators = [
+    { type: Directive, args: [{
+                selector: '[cdkMenuItem]',
+                exportAs: 'cdkMenuItem',
+                host: {
+                    'type': 'button',
+                    'role': 'menuitem',
+                    'class': 'cdk-menu-item',
+                    '[tabindex]': '_tabindex',
+                    '[attr.aria-disabled]': 'disabled || null',
+                    '(click)': 'trigger()',
+                    '(keydown)': '_onKeydown($event)',
+                },
+            },] }
+];
+CdkMenuItem.ctorParameters = () => [
+    { type: ElementRef },
+    { type: NgZone },
+    { type: undefined, decorators: [{ type: Optional }, { type: Inject, args: [CDK_MENU,] }] },
+    { type: undefined, decorators: [{ type: Optional }, { type: Inject, args: [MENU_AIM,] }] },
+    { type: Directionality, decorators: [{ type: Optional }] },
+    { type: CdkMenuTrigger, decorators: [{ type: Self }, { type: Optional }] }
+];
+CdkMenuItem.propDecorators = {
+    disabled: [{ type: Input, args: ['cdkMenuItemDisabled',] }],
+    typeaheadLabel: [{ type: Input, args: ['cdkMenuItemTypeaheadLabel',] }],
+    triggered: [{ type: Output, args: ['cdkMenuItemTriggered',] }]
+};
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoibWVudS1pdGVtLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiLi4vLi4vLi4vLi4vLi4vLi4vc3JjL2Nkay9tZW51L21lbnUtaXRlbS50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiQUFBQTs7Ozs7O0dBTUc7QUFHSCxPQUFPLEVBQUMsY0FBYyxFQUFDLE1BQU0sbUJBQW1CLENBQUM7QUFDakQsT0FBTyxFQUFlLHFCQUFxQixFQUFDLE1BQU0sdUJBQXVCLENBQUM7QUFDMUUsT0FBTyxFQUFDLEtBQUssRUFBRSxjQUFjLEVBQUUsVUFBVSxFQUFFLFdBQVcsRUFBRSxLQUFLLEVBQUMsTUFBTSx1QkFBdUIsQ0FBQztBQUM1RixPQUFPLEVBQ0wsU0FBUyxFQUNULFVBQVUsRUFDVixZQUFZLEVBQ1osTUFBTSxFQUNOLEtBQUssRUFDTCxNQUFNLEVBRU4sUUFBUSxFQUNSLE1BQU0sRUFDTixJQUFJLEdBQ0wsTUFBTSxlQUFlLENBQUM7QUFDdkIsT0FBTyxFQUFDLFNBQVMsRUFBRSxPQUFPLEVBQUMsTUFBTSxNQUFNLENBQUM7QUFDeEMsT0FBTyxFQUFDLFNBQVMsRUFBQyxNQUFNLGdCQUFnQixDQUFDO0FBRXpDLE9BQU8sRUFBQyxRQUFRLEVBQW1CLE1BQU0sWUFBWSxDQUFDO0FBQ3RELE9BQU8sRUFBQyxRQUFRLEVBQU8sTUFBTSxrQkFBa0IsQ0FBQztBQUNoRCxPQUFPLEVBQUMsU0FBUyxFQUFZLE1BQU0sY0FBYyxDQUFDO0FBQ2xELE9BQU8sRUFBQyxjQUFjLEVBQUMsTUFBTSxnQkFBZ0IsQ0FBQztBQUU5Qzs7OztHQUlHO0FBY0gsTUFBTSxPQUFPLFdBQVc7SUFvQ3RCLFlBQ1csV0FBb0MsRUFDNUIsT0FBZTtJQUNoQyx5Q0FBeUM7SUFDRixXQUFrQjtJQUN6RCxrREFBa0Q7SUFDSCxRQUFrQixFQUNwQyxJQUFxQjtJQUNsRCxxRkFBcUY7SUFDeEQsWUFBNkI7UUFSakQsZ0JBQVcsR0FBWCxXQUFXLENBQXlCO1FBQzVCLFlBQU8sR0FBUCxPQUFPLENBQVE7UUFFTyxnQkFBVyxHQUFYLFdBQVcsQ0FBTztRQUVWLGFBQVEsR0FBUixRQUFRLENBQVU7UUFDcEMsU0FBSSxHQUFKLElBQUksQ0FBaUI7UUFFckIsaUJBQVksR0FBWixZQUFZLENBQWlCO1FBakNwRCxjQUFTLEdBQUcsS0FBSyxDQUFDO1FBRTFCOzs7V0FHRztRQUNpQyxtQkFBYyxHQUFrQixJQUFJLENBQUM7UUFFekU7OztXQUdHO1FBQ3NDLGNBQVMsR0FBdUIsSUFBSSxZQUFZLEVBQUUsQ0FBQztRQUU1Rjs7OztXQUlHO1FBQ0gsY0FBUyxHQUFXLENBQUMsQ0FBQyxDQUFDO1FBRXZCLDZDQUE2QztRQUMxQixlQUFVLEdBQUcsSUFBSSxPQUFPLEVBQVEsQ0FBQztRQVlsRCxrRkFBa0Y7UUFDbEYsSUFBSSxDQUFDLFdBQVcsRUFBRTtZQUNoQixJQUFJLENBQUMsU0FBUyxHQUFHLENBQUMsQ0FBQztTQUNwQjtRQUVELElBQUksQ0FBQyxnQkFBZ0IsRUFBRSxDQUFDO0lBQzFCLENBQUM7SUFuREQseUNBQXlDO0lBQ3pDLElBQ0ksUUFBUSxLQUFjLE9BQU8sSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUM7SUFDbEQsSUFBSSxRQUFRLENBQUMsS0FBYztRQUN6QixJQUFJLENBQUMsU0FBUyxHQUFHLHFCQUFxQixDQUFDLEtBQUssQ0FBQyxDQUFDO1FBRTlDLGlFQUFpRTtRQUNqRSxJQUFJLElBQUksQ0FBQyxZQUFZLEVBQUU7WUFDckIsSUFBSSxDQUFDLFlBQVksQ0FBQyxRQUFRLEdBQUcsSUFBSSxDQUFDLFNBQVMsQ0FBQztTQUM3QztJQUNILENBQUM7SUEyQ0Qsa0NBQWtDO0lBQ2xDLEtBQUs7UUFDSCxJQUFJLENBQUMsV0FBVyxDQUFDLGFBQWEsQ0FBQyxLQUFLLEVBQUUsQ0FBQztJQUN6QyxDQUFDO0lBRUQ7OztPQUdHO0lBQ0gsT0FBTztRQUNMLElBQUksQ0FBQyxJQUFJLENBQUMsUUFBUSxJQUFJLENBQUMsSUFBSSxDQUFDLE9BQU8sRUFBRSxFQUFFO1lBQ3JDLElBQUksQ0FBQyxTQUFTLENBQUMsSUFBSSxFQUFFLENBQUM7WUFFdEIsTUFBTSxTQUFTLEdBQUcsSUFBSSxDQUFDLGFBQWEsRUFBRSxDQUFDO1lBQ3ZDLElBQUksU0FBUyxFQUFFO2dCQUNiLFNBQVMsQ0FBQyxRQUFRLENBQUMsRUFBQyxrQkFBa0IsRUFBRSxJQUFJLEVBQUMsQ0FBQyxDQUFDO2FBQ2hEO1NBQ0Y7SUFDSCxDQUFDO0lBRUQsMENBQTBDO0lBQzFDLE9BQU87UUFDTCxPQUFPLENBQUMsQ0FBQyxJQUFJLENBQUMsWUFBWSxJQUFJLElBQUksQ0FBQyxZQUFZLENBQUMsT0FBTyxFQUFFLENBQUM7SUFDNUQsQ0FBQztJQUVELHdFQUF3RTtJQUN4RSxVQUFVO1FBQ1IsT0FBTyxDQUFDLENBQUMsSUFBSSxDQUFDLFlBQVksSUFBSSxJQUFJLENBQUMsWUFBWSxDQUFDLFVBQVUsRUFBRSxDQUFDO0lBQy9ELENBQUM7SUFFRDs7O09BR0c7SUFDSCxPQUFPO1FBQ0wsT0FBTyxJQUFJLENBQUMsWUFBWSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsWUFBWSxDQUFDLE9BQU8sRUFBRSxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUM7SUFDckUsQ0FBQztJQUVELDJEQUEyRDtJQUMzRCxjQUFjO1FBQ1osT0FBTyxJQUFJLENBQUMsWUFBWSxDQUFDO0lBQzNCLENBQUM7SUFFRCx5RkFBeUY7SUFDekYsUUFBUTtRQUNOLElBQUksSUFBSSxDQUFDLGNBQWMsRUFBRTtZQUN2QixPQUFPLElBQUksQ0FBQyxjQUFjLENBQUM7U0FDNUI7UUFFRCxNQUFNLFdBQVcsR0FBRyxJQUFJLENBQUMsV0FBVyxDQUFDLGFBQWEsQ0FBQyxXQUFXLENBQUM7UUFDL0QsT0FBTyxXQUFXLENBQUMsQ0FBQyxDQUFDLFdBQVcsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDO0lBQy9DLENBQUM7SUFFRCxXQUFXO1FBQ1QsSUFBSSxDQUFDLFVBQVUsQ0FBQyxJQUFJLEVBQUUsQ0FBQztRQUN2QixJQUFJLENBQUMsVUFBVSxDQUFDLFFBQVEsRUFBRSxDQUFDO0lBQzdCLENBQUM7SUFFRDs7OztPQUlHO0lBQ0gsVUFBVSxDQUFDLEtBQW9CO1FBQzdCLElBQUksY0FBYyxDQUFDLEtBQUssQ0FBQyxFQUFFO1lBQ3pCLE9BQU87U0FDUjtRQUVELFFBQVEsS0FBSyxDQUFDLE9BQU8sRUFBRTtZQUNyQixLQUFLLEtBQUssQ0FBQztZQUNYLEtBQUssS0FBSztnQkFDUixxREFBcUQ7Z0JBQ3JELElBQUksQ0FBQyxJQUFJLENBQUMsT0FBTyxFQUFFLEVBQUU7b0JBQ25CLEtBQUssQ0FBQyxjQUFjLEVBQUUsQ0FBQztvQkFDdkIsSUFBSSxDQUFDLE9BQU8sRUFBRSxDQUFDO2lCQUNoQjtnQkFDRCxNQUFNO1lBRVIsS0FBSyxXQUFXLENBQUM7WUFDakIsS0FBSyxVQUFVO2dCQUNiLElBQUksSUFBSSxDQUFDLFdBQVcsSUFBSSxJQUFJLENBQUMsV0FBVyxDQUFDLFdBQVcsS0FBSyxVQUFVLEVBQUU7b0JBQ25FLE1BQU0sS0FBSyxHQUFHLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxJQUFJLElBQUksQ0FBQyxJQUFJLENBQUMsS0FBSyxLQUFLLEtBQUssQ0FBQztvQkFFdkQsSUFBSSxDQUFDLEtBQUssQ0FBQyxPQUFPLEtBQUssVUFBVSxDQUFDLEtBQUssS0FBSyxFQUFFO3dCQUM1QyxJQUFJLENBQUMsaUJBQWlCLENBQUMsS0FBSyxDQUFDLENBQUM7cUJBQy9CO3lCQUFNLElBQUksQ0FBQyxJQUFJLENBQUMsT0FBTyxFQUFFLEVBQUU7d0JBQzFCLDJEQUEyRDt3QkFDM0QsMkNBQTJDO3dCQUMzQyxJQUFJLENBQUMsb0JBQW9CLENBQUMsS0FBSyxDQUFDLENBQUM7cUJBQ2xDO2lCQUNGO2dCQUNELE1BQU07U0FDVDtJQUNILENBQUM7SUFFRDs7OztPQUlHO0lBQ0ssaUJBQWlCLENBQUMsS0FBb0I7UUFDNUMsTUFBTSxTQUFTLEdBQUcsSUFBSSxDQUFDLGFBQWEsRUFBRSxDQUFDO1FBRXZDLDBGQUEwRjtRQUMxRixJQUFJLFNBQVMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxPQUFPLEVBQUUsSUFBSSxJQUFJLENBQUMsV0FBVyxLQUFLLFNBQVMsQ0FBQyxJQUFJLEVBQUU7WUFDNUUsS0FBSyxDQUFDLGNBQWMsRUFBRSxDQUFDO1lBQ3ZCLFNBQVMsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLFdBQVksRUFBRTtnQkFDakMsZ0JBQWdCLEVBQUUsU0FBUyxDQUFDLHNCQUFzQixDQUFDLFlBQVksQ0FBQyxDQUFDLENBQUM7b0JBQzlELFNBQVMsQ0FBQyxZQUFZLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxXQUFXO2dCQUNsRCxrQkFBa0IsRUFBRSxJQUFJO2FBQ3pCLENBQUMsQ0FBQztTQUNKO0lBQ0gsQ0FBQztJQUVEOzs7O09BSUc7SUFDSyxvQkFBb0IsQ0FBQyxLQUFvQjtRQUMvQyxNQUFNLFNBQVMsR0FBRyxJQUFJLENBQUMsYUFBYSxFQUFFLENBQUM7UUFFdkMsSUFBSSxTQUFTLElBQUksQ0FBQyxTQUFTLENBQUMsT0FBTyxFQUFFLElBQUksU0FBUyxDQUFDLHNCQUFzQixDQUFDLFlBQVksQ0FBQyxFQUFFO1lBQ3ZGLEtBQUssQ0FBQyxjQUFjLEVBQUUsQ0FBQztZQUN2QixTQUFTLENBQUMsUUFBUSxDQUFDLEVBQUMsZ0JBQWdCLEVBQUUsU0FBUyxDQUFDLFFBQVEsRUFBQyxDQUFDLENBQUM7U0FDNUQ7SUFDSCxDQUFDO0lBRUQ7OztPQUdHO0lBQ0ssZ0JBQWdCO1FBQ3RCLElBQUksQ0FBQyxJQUFJLENBQUMsV0FBVyxFQUFFO1lBQ3JCLE9BQU87U0FDUjtRQUVELE1BQU0sV0FBVyxHQUFHLEdBQUcsRUFBRSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLEdBQUcsRUFBRTtZQUM5QyxJQUFJLElBQUksQ0FBQyxPQUFPLEVBQUUsRUFBRTtnQkFDbEIsSUFBSSxDQUFDLFlBQWEsQ0FBQyxRQUFRLEVBQUUsQ0FBQzthQUMvQjtpQkFBTTtnQkFDTCxNQUFNLFNBQVMsR0FBRyxJQUFJLENBQUMsYUFBYSxFQUFFLENBQUM7Z0JBQ3ZDLElBQUksU0FBUyxFQUFFO29CQUNiLFNBQVMsQ0FBQyxjQUFjLENBQUMsSUFBSSxDQUFDLFdBQVksQ0FBQyxDQUFDO2lCQUM3QzthQUNGO1FBQ0gsQ0FBQyxDQUFDLENBQUM7UUFFSCxJQUFJLENBQUMsT0FBTyxDQUFDLGlCQUFpQixDQUFDLEdBQUcsRUFBRTtZQUNsQyxTQUFTLENBQUMsSUFBSSxDQUFDLFdBQVcsQ0FBQyxhQUFhLEVBQUUsWUFBWSxDQUFDO2lCQUNwRCxJQUFJLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxVQUFVLENBQUMsQ0FBQztpQkFDaEMsU0FBUyxDQUFDLEdBQUcsRUFBRTtnQkFDZCxNQUFNLFNBQVMsR0FBRyxJQUFJLENBQUMsYUFBYSxFQUFFLENBQUM7Z0JBRXZDLHFFQUFxRTtnQkFDckUsNkRBQTZEO2dCQUM3RCxJQUFJLENBQUMsSUFBSSxDQUFDLFFBQVEsSUFBSSxTQUFTLElBQUksQ0FBQyxTQUFTLENBQUMsT0FBTyxFQUFFLElBQUksQ0FBQyxJQUFJLENBQUMsVUFBVSxFQUFFLEVBQUU7b0JBQzdFLElBQUksQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDLFdBQVcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxXQUFXLEVBQUUsQ0FBQztpQkFDbkU7WUFDSCxDQUFDLENBQUMsQ0FBQztRQUNQLENBQUMsQ0FBQyxDQUFDO0lBQ0wsQ0FBQztJQUVELHNFQUFzRTtJQUM5RCxhQUFhO1FBQ25CLE9BQU8sSUFBSSxDQUFDLFdBQVcsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLFdBQVcsQ0FBQyxVQUFVLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQztJQUMvRCxDQUFDOzs7WUF6T0YsU0FBUyxTQUFDO2dCQUNULFFBQVEsRUFBRSxlQUFlO2dCQUN6QixRQUFRLEVBQUUsYUFBYTtnQkFDdkIsSUFBSSxFQUFFO29CQUNKLE1BQU0sRUFBRSxRQUFRO29CQUNoQixNQUFNLEVBQUUsVUFBVTtvQkFDbEIsT0FBTyxFQUFFLGVBQWU7b0JBQ3hCLFlBQVksRUFBRSxXQUFXO29CQUN6QixzQkFBc0IsRUFBRSxrQkFBa0I7b0JBQzFDLFNBQVMsRUFBRSxXQUFXO29CQUN0QixXQUFXLEVBQUUsb0JBQW9CO2lCQUNsQzthQUNGOzs7WUFuQ0MsVUFBVTtZQUlWLE1BQU07NENBd0VILFFBQVEsWUFBSSxNQUFNLFNBQUMsUUFBUTs0Q0FFM0IsUUFBUSxZQUFJLE1BQU0sU0FBQyxRQUFRO1lBbkZ4QixjQUFjLHVCQW9GakIsUUFBUTtZQS9ETCxjQUFjLHVCQWlFakIsSUFBSSxZQUFJLFFBQVE7Ozt1QkEzQ2xCLEtBQUssU0FBQyxxQkFBcUI7NkJBZ0IzQixLQUFLLFNBQUMsMkJBQTJCO3dCQU1qQyxNQUFNLFNBQUMsc0JBQXNCIiwic291cmNlc0NvbnRlbnQiOlsiLyoqXG4gKiBAbGljZW5zZVxuICogQ29weXJpZ2h0IEdvb2dsZSBMTEMgQWxsIFJpZ2h0cyBSZXNlcnZlZC5cbiAqXG4gKiBVc2Ugb2YgdGhpcyBzb3VyY2UgY29kZSBpcyBnb3Zlcm5lZCBieSBhbiBNSVQtc3R5bGUgbGljZW5zZSB0aGF0IGNhbiBiZVxuICogZm91bmQgaW4gdGhlIExJQ0VOU0UgZmlsZSBhdCBodHRwczovL2FuZ3VsYXIuaW8vbGljZW5zZVxuICovXG5cbmltcG9ydCB7Rm9jdXNhYmxlT3B0aW9ufSBmcm9tICdAYW5ndWxhci9jZGsvYTExeSc7XG5pbXBvcnQge0RpcmVjdGlvbmFsaXR5fSBmcm9tICdAYW5ndWxhci9jZGsvYmlkaSc7XG5pbXBvcnQge0Jvb2xlYW5JbnB1dCwgY29lcmNlQm9vbGVhblByb3BlcnR5fSBmcm9tICdAYW5ndWxhci9jZGsvY29lcmNpb24nO1xuaW1wb3J0IHtFTlRFUiwgaGFzTW9kaWZpZXJLZXksIExFRlRfQVJST1csIFJJR0hUX0FSUk9XLCBTUEFDRX0gZnJvbSAnQGFuZ3VsYXIvY2RrL2tleWNvZGVzJztcbmltcG9ydCB7XG4gIERpcmVjdGl2ZSxcbiAgRWxlbWVudFJlZixcbiAgRXZlbnRFbWl0dGVyLFxuICBJbmplY3QsXG4gIElucHV0LFxuICBOZ1pvbmUsXG4gIE9uRGVzdHJveSxcbiAgT3B0aW9uYWwsXG4gIE91dHB1dCxcbiAgU2VsZixcbn0gZnJvbSAnQGFuZ3VsYXIvY29yZSc7XG5pbXBvcnQge2Zyb21FdmVudCwgU3ViamVjdH0gZnJvbSAncnhqcyc7XG5pbXBvcnQge3Rha2VVbnRpbH0gZnJvbSAncnhqcy9vcGVyYXRvcnMnO1xuaW1wb3J0IHtGb2N1c2FibGVFbGVtZW50fSBmcm9tICcuL2l0ZW0tcG9pbnRlci1lbnRyaWVzJztcbmltcG9ydCB7TUVOVV9BSU0sIE1lbnVBaW0sIFRvZ2dsZXJ9IGZyb20gJy4vbWVudS1haW0nO1xuaW1wb3J0IHtDREtfTUVOVSwgTWVudX0gZnJvbSAnLi9tZW51LWludGVyZmFjZSc7XG5pbXBvcnQge0ZvY3VzTmV4dCwgTWVudVN0YWNrfSBmcm9tICcuL21lbnUtc3RhY2snO1xuaW1wb3J0IHtDZGtNZW51VHJpZ2dlcn0gZnJvbSAnLi9tZW51LXRyaWdnZXInO1xuXG4vKipcbiAqIERpcmVjdGl2ZSB3aGljaCBwcm92aWRlcyB0aGUgYWJpbGl0eSBmb3IgYW4gZWxlbWVudCB0byBiZSBmb2N1c2VkIGFuZCBuYXZpZ2F0ZWQgdG8gdXNpbmcgdGhlXG4gKiBrZXlib2FyZCB3aGVuIHJlc2lkaW5nIGluIGEgQ2RrTWVudSwgQ2RrTWVudUJhciwgb3IgQ2RrTWVudUdyb3VwLiBJdCBwZXJmb3JtcyB1c2VyIGRlZmluZWRcbiAqIGJlaGF2aW9yIHdoZW4gY2xpY2tlZCwgb3Igb3BlbnMgYSBzdWJtZW51IHdoZW4gY29tYmluZWQgd2l0aCBhIGBjZGtNZW51VHJpZ2dlckZvcmAuXG4gKi9cbkBEaXJlY3RpdmUoe1xuICBzZWxlY3RvcjogJ1tjZGtNZW51SXRlbV0nLFxuICBleHBvcnRBczogJ2Nka01lbnVJdGVtJyxcbiAgaG9zdDoge1xuICAgICd0eXBlJzogJ2J1dHRvbicsXG4gICAgJ3JvbGUnOiAnbWVudWl0ZW0nLFxuICAgICdjbGFzcyc6ICdjZGstbWVudS1pdGVtJyxcbiAgICAnW3RhYmluZGV4XSc6ICdfdGFiaW5kZXgnLFxuICAgICdbYXR0ci5hcmlhLWRpc2FibGVkXSc6ICdkaXNhYmxlZCB8fCBudWxsJyxcbiAgICAnKGNsaWNrKSc6ICd0cmlnZ2VyKCknLFxuICAgICcoa2V5ZG93biknOiAnX29uS2V5ZG93bigkZXZlbnQpJyxcbiAgfSxcbn0pXG5leHBvcnQgY2xhc3MgQ2RrTWVudUl0ZW0gaW1wbGVtZW50cyBGb2N1c2FibGVPcHRpb24sIEZvY3VzYWJsZUVsZW1lbnQsIFRvZ2dsZXIsIE9uRGVzdHJveSB7XG4gIC8qKiBXaGV0aGVyIHRoZSBtZW51IGl0ZW0gaXMgZGlzYWJsZWQuICovXG4gIEBJbnB1dCgnY2RrTWVudUl0ZW1EaXNhYmxlZCcpXG4gIGdldCBkaXNhYmxlZCgpOiBib29sZWFuIHsgcmV0dXJuIHRoaXMuX2Rpc2FibGVkOyB9XG4gIHNldCBkaXNhYmxlZCh2YWx1ZTogYm9vbGVhbikge1xuICAgIHRoaXMuX2Rpc2FibGVkID0gY29lcmNlQm9vbGVhblByb3BlcnR5KHZhbHVlKTtcblxuICAgIC8vIERpc2FibGVkIGl0ZW1zIHNob3VsZG4ndCBiZSBhYmxlIHRvIG9wZW4gdGhlaXIgc3VibWVudSBlaXRoZXIuXG4gICAgaWYgKHRoaXMuX21lbnVUcmlnZ2VyKSB7XG4gICAgICB0aGlzLl9tZW51VHJpZ2dlci5kaXNhYmxlZCA9IHRoaXMuX2Rpc2FibGVkO1xuICAgIH1cbiAgfVxuICBwcml2YXRlIF9kaXNhYmxlZCA9IGZhbHNlO1xuXG4gIC8qKlxuICAgKiBUaGUgdGV4dCB1c2VkIHRvIGxvY2F0ZSB0aGlzIGl0ZW0gZHVyaW5nIG1lbnUgdHlwZWFoZWFkLiBJZiBub3Qgc3BlY2lmaWVkLFxuICAgKiB0aGUgYHRleHRDb250ZW50YCBvZiB0aGUgaXRlbSB3aWxsIGJlIHVzZWQuXG4gICAqL1xuICBASW5wdXQoJ2Nka01lbnVJdGVtVHlwZWFoZWFkTGFiZWwnKSB0eXBlYWhlYWRMYWJlbDogc3RyaW5nIHwgbnVsbCA9IG51bGw7XG5cbiAgLyoqXG4gICAqIElmIHRoaXMgTWVudUl0ZW0gaXMgYSByZWd1bGFyIE1lbnVJdGVtLCBvdXRwdXRzIHdoZW4gaXQgaXMgdHJpZ2dlcmVkIGJ5IGEga2V5Ym9hcmQgb3IgbW91c2VcbiAgICogZXZlbnQuXG4gICAqL1xuICBAT3V0cHV0KCdjZGtNZW51SXRlbVRyaWdnZXJlZCcpIHJlYWRvbmx5IHRyaWdnZXJlZDogRXZlbnRFbWl0dGVyPHZvaWQ+ID0gbmV3IEV2ZW50RW1pdHRlcigpO1xuXG4gIC8qKlxuICAgKiBUaGUgdGFiaW5kZXggZm9yIHRoaXMgbWVudSBpdGVtIG1hbmFnZWQgaW50ZXJuYWxseSBhbmQgdXNlZCBmb3IgaW1wbGVtZW50aW5nIHJvdmluZyBhXG4gICAqIHRhYiBpbmRleC5cbiAgICogQGRvY3MtcHJpdmF0ZVxuICAgKi9cbiAgX3RhYmluZGV4OiAwIHwgLTEgPSAtMTtcblxuICAvKiogRW1pdHMgd2hlbiB0aGUgbWVudSBpdGVtIGlzIGRlc3Ryb3llZC4gKi9cbiAgcHJvdGVjdGVkIHJlYWRvbmx5IF9kZXN0cm95ZWQgPSBuZXcgU3ViamVjdDx2b2lkPigpO1xuXG4gIGNvbnN0cnVjdG9yKFxuICAgIHJlYWRvbmx5IF9lbGVtZW50UmVmOiBFbGVtZW50UmVmPEhUTUxFbGVtZW50PixcbiAgICBwcml2YXRlIHJlYWRvbmx5IF9uZ1pvbmU6IE5nWm9uZSxcbiAgICAvKiogVGhlIG1lbnUgdGhhdCB0aGUgaXRlbSBiZWxvbmdzIHRvLiAqL1xuICAgIEBPcHRpb25hbCgpIEBJbmplY3QoQ0RLX01FTlUpIHJlYWRvbmx5IF9wYXJlbnRNZW51PzogTWVudSxcbiAgICAvKiogUmVmZXJlbmNlIHRvIHRoZSBwcm92aWRlZCBtZW51IGFpbSBzZXJ2aWNlLiAqL1xuICAgIEBPcHRpb25hbCgpIEBJbmplY3QoTUVOVV9BSU0pIHByaXZhdGUgcmVhZG9ubHkgX21lbnVBaW0/OiBNZW51QWltLFxuICAgIEBPcHRpb25hbCgpIHByaXZhdGUgcmVhZG9ubHkgX2Rpcj86IERpcmVjdGlvbmFsaXR5LFxuICAgIC8qKiBSZWZlcmVuY2UgdG8gdGhlIENka01lbnVUcmlnZ2VyIGRpcmVjdGl2ZSBpZiBvbmUgaXMgYWRkZWQgdG8gdGhlIHNhbWUgZWxlbWVudC4gKi9cbiAgICBAU2VsZigpIEBPcHRpb25hbCgpIHJlYWRvbmx5IF9tZW51VHJpZ2dlcj86IENka01lbnVUcmlnZ2VyKSB7XG4gICAgLy8gSXRlbXMgb3V0c2lkZSBvZiBhIG1lbnUgaGF2ZSB0byBiZSByZWFjaGFibGUgdGhyb3VnaCB0aGUga2V5Ym9hcmQgb24gdGhlaXIgb3duLlxuICAgIGlmICghX3BhcmVudE1lbnUpIHtcbiAgICAgIHRoaXMuX3RhYmluZGV4ID0gMDtcbiAgICB9XG5cbiAgICB0aGlzLl9zZXR1cE1vdXNlRW50ZXIoKTtcbiAgfVxuXG4gIC8qKiBQbGFjZSBmb2N1cyBvbiB0aGUgZWxlbWVudC4gKi9cbiAgZm9jdXMoKSB7XG4gICAgdGhpcy5fZWxlbWVudFJlZi5uYXRpdmVFbGVtZW50LmZvY3VzKCk7XG4gIH1cblxuICAvKipcbiAgICogSWYgdGhlIG1lbnUgaXRlbSBpcyBub3QgZGlzYWJsZWQgYW5kIHRoZSBlbGVtZW50IGRvZXMgbm90IGhhdmUgYSBtZW51IHRyaWdnZXIgYXR0YWNoZWQsIGVtaXRcbiAgICogb24gdGhlIGNka01lbnVJdGVtVHJpZ2dlcmVkIGVtaXR0ZXIgYW5kIGNsb3NlIGFsbCBvcGVuIG1lbnVzLlxuICAgKi9cbiAgdHJpZ2dlcigpIHtcbiAgICBpZiAoIXRoaXMuZGlzYWJsZWQgJiYgIXRoaXMuaGFzTWVudSgpKSB7XG4gICAgICB0aGlzLnRyaWdnZXJlZC5uZXh0KCk7XG5cbiAgICAgIGNvbnN0IG1lbnVTdGFjayA9IHRoaXMuX2dldE1lbnVTdGFjaygpO1xuICAgICAgaWYgKG1lbnVTdGFjaykge1xuICAgICAgICBtZW51U3RhY2suY2xvc2VBbGwoe2ZvY3VzUGFyZW50VHJpZ2dlcjogdHJ1ZX0pO1xuICAgICAgfVxuICAgIH1cbiAgfVxuXG4gIC8qKiBXaGV0aGVyIHRoZSBtZW51IGl0ZW0gb3BlbnMgYSBtZW51LiAqL1xuICBoYXNNZW51KCk6IGJvb2xlYW4ge1xuICAgIHJldHVybiAhIXRoaXMuX21lbnVUcmlnZ2VyICYmIHRoaXMuX21lbnVUcmlnZ2VyLmhhc01lbnUoKTtcbiAgfVxuXG4gIC8qKiBSZXR1cm4gdHJ1ZSBpZiB0aGlzIE1lbnVJdGVtIGhhcyBhbiBhdHRhY2hlZCBtZW51IGFuZCBpdCBpcyBvcGVuLiAqL1xuICBpc01lbnVPcGVuKCk6IGJvb2xlYW4ge1xuICAgIHJldHVybiAhIXRoaXMuX21lbnVUcmlnZ2VyICYmIHRoaXMuX21lbnVUcmlnZ2VyLmlzTWVudU9wZW4oKTtcbiAgfVxuXG4gIC8qKlxuICAgKiBHZXQgYSByZWZlcmVuY2UgdG8gdGhlIHJlbmRlcmVkIE1lbnUgaWYgdGhlIE1lbnUgaXMgb3BlbiBhbmQgaXQgaXMgdmlzaWJsZSBpbiB0aGUgRE9NLlxuICAgKiBAcmV0dXJuIHRoZSBtZW51IGlmIGl0IGlzIG9wZW4sIG90aGVyd2lzZSB1bmRlZmluZWQuXG4gICAqL1xuICBnZXRNZW51KCk6IE1lbnUgfCB1bmRlZmluZWQge1xuICAgIHJldHVybiB0aGlzLl9tZW51VHJpZ2dlciA/IHRoaXMuX21lbnVUcmlnZ2VyLmdldE1lbnUoKSA6IHVuZGVmaW5lZDtcbiAgfVxuXG4gIC8qKiBHZXQgdGhlIENka01lbnVUcmlnZ2VyIGFzc29jaWF0ZWQgd2l0aCB0aGlzIGVsZW1lbnQuICovXG4gIGdldE1lbnVUcmlnZ2VyKCk6IENka01lbnVUcmlnZ2VyIHwgdW5kZWZpbmVkIHtcbiAgICByZXR1cm4gdGhpcy5fbWVudVRyaWdnZXI7XG4gIH1cblxuICAvKiogR2V0IHRoZSBsYWJlbCBmb3IgdGhpcyBlbGVtZW50IHdoaWNoIGlzIHJlcXVpcmVkIGJ5IHRoZSBGb2N1c2FibGVPcHRpb24gaW50ZXJmYWNlLiAqL1xuICBnZXRMYWJlbCgpOiBzdHJpbmcge1xuICAgIGlmICh0aGlzLnR5cGVhaGVhZExhYmVsKSB7XG4gICAgICByZXR1cm4gdGhpcy50eXBlYWhlYWRMYWJlbDtcbiAgICB9XG5cbiAgICBjb25zdCB0ZXh0Q29udGVudCA9IHRoaXMuX2VsZW1lbnRSZWYubmF0aXZlRWxlbWVudC50ZXh0Q29udGVudDtcbiAgICByZXR1cm4gdGV4dENvbnRlbnQgPyB0ZXh0Q29udGVudC50cmltKCkgOiAnJztcbiAgfVxuXG4gIG5nT25EZXN0cm95KCkge1xuICAgIHRoaXMuX2Rlc3Ryb3llZC5uZXh0KCk7XG4gICAgdGhpcy5fZGVzdHJveWVkLmNvbXBsZXRlKCk7XG4gIH1cblxuICAvKipcbiAgICogSGFuZGxlcyBrZXlib2FyZCBldmVudHMgZm9yIHRoZSBtZW51IGl0ZW0sIHNwZWNpZmljYWxseSBlaXRoZXIgdHJpZ2dlcmluZyB0aGUgdXNlciBkZWZpbmVkXG4gICAqIGNhbGxiYWNrIG9yIGNsb3NpbmcgdGhlIG1lbnVzIHdoZW4gbW92aW5nIGJhY2sgdG93YXJkcyB0aGUgcm9vdCBtZW51LlxuICAgKiBAZG9jcy1wcml2YXRlXG4gICAqL1xuICBfb25LZXlkb3duKGV2ZW50OiBLZXlib2FyZEV2ZW50KSB7XG4gICAgaWYgKGhhc01vZGlmaWVyS2V5KGV2ZW50KSkge1xuICAgICAgcmV0dXJuO1xuICAgIH1cblxuICAgIHN3aXRjaCAoZXZlbnQua2V5Q29kZSkge1xuICAgICAgY2FzZSBTUEFDRTpcbiAgICAgIGNhc2UgRU5URVI6XG4gICAgICAgIC8vIEl0ZW1zIHdpdGggYSBzdWJtZW51IGFyZSB0b2dnbGVkIGJ5IHRoZWlyIHRyaWdnZXIuXG4gICAgICAgIGlmICghdGhpcy5oYXNNZW51KCkpIHtcbiAgICAgICAgICBldmVudC5wcmV2ZW50RGVmYXVsdCgpO1xuICAgICAgICAgIHRoaXMudHJpZ2dlcigpO1xuICAgICAgICB9XG4gICAgICAgIGJyZWFrO1xuXG4gICAgICBjYXNlIFJJR0hUX0FSUk9XOlxuICAgICAgY2FzZSBMRUZUX0FSUk9XOlxuICAgICAgICBpZiAodGhpcy5fcGFyZW50TWVudSAmJiB0aGlzLl9wYXJlbnRNZW51Lm9yaWVudGF0aW9uID09PSAndmVydGljYWwnKSB7XG4gICAgICAgICAgY29uc3QgaXNSdGwgPSAhIXRoaXMuX2RpciAmJiB0aGlzLl9kaXIudmFsdWUgPT09ICdydGwnO1xuXG4gICAgICAgICAgaWYgKChldmVudC5rZXlDb2RlID09PSBMRUZUX0FSUk9XKSAhPT0gaXNSdGwpIHtcbiAgICAgICAgICAgIHRoaXMuX2JhY2tBcnJvd1ByZXNzZWQoZXZlbnQpO1xuICAgICAgICAgIH0gZWxzZSBpZiAoIXRoaXMuaGFzTWVudSgpKSB7XG4gICAgICAgICAgICAvLyBUaGUgYXJyb3cgcG9pbnRpbmcgYXdheSBmcm9tIHRoZSByb290IG1lbnUgaXMgaGFuZGxlZCBieVxuICAgICAgICAgICAgLy8gdGhlIHRyaWdnZXIgaWYgdGhlIGl0ZW0gb3BlbnMgYSBzdWJtZW51LlxuICAgICAgICAgICAgdGhpcy5fZm9yd2FyZEFycm93UHJlc3NlZChldmVudCk7XG4gICAgICAgICAgfVxuICAgICAgICB9XG4gICAgICAgIGJyZWFrO1xuICAgIH1cbiAgfVxuXG4gIC8qKlxuICAgKiBDbG9zZXMgdGhlIHBhcmVudCBtZW51IHdoZW4gdGhlIHVzZXIgcHJlc3NlcyB0aGUgYXJyb3cgcG9pbnRpbmcgYmFjayB0b3dhcmRzIHRoZSByb290IG1lbnUuXG4gICAqIElmIHRoZSBtZW51cyB3ZXJlIG9wZW5lZCBmcm9tIGEgaG9yaXpvbnRhbCByb290IG1lbnUgKGUuZy4gYSBtZW51IGJhciksIHRoZSByb290IG1lbnUgbW92ZXNcbiAgICogZm9jdXMgdG8gaXRzIHByZXZpb3VzIGl0ZW0gb25jZSBhbGwgb2YgdGhlIG1lbnVzIGFyZSBjbG9zZWQuXG4gICAqL1xuICBwcml2YXRlIF9iYWNrQXJyb3dQcmVzc2VkKGV2ZW50OiBLZXlib2FyZEV2ZW50KSB7XG4gICAgY29uc3QgbWVudVN0YWNrID0gdGhpcy5fZ2V0TWVudVN0YWNrKCk7XG5cbiAgICAvLyBJdGVtcyBvZiBhIG1lbnUgd2hpY2ggaXNuJ3QgcGFydCBvZiB0aGUgc3RhY2sgKGUuZy4gYW4gaW5saW5lIG1lbnUpIGhhdmUgbm93aGVyZSB0byBnby5cbiAgICBpZiAobWVudVN0YWNrICYmICFtZW51U3RhY2suaXNFbXB0eSgpICYmIHRoaXMuX3BhcmVudE1lbnUgIT09IG1lbnVTdGFjay5yb290KSB7XG4gICAgICBldmVudC5wcmV2ZW50RGVmYXVsdCgpO1xuICAgICAgbWVudVN0YWNrLmNsb3NlKHRoaXMuX3BhcmVudE1lbnUhLCB7XG4gICAgICAgIGZvY3VzTmV4dE9uRW1wdHk6IG1lbnVTdGFjay5oYXNSb290V2l0aE9yaWVudGF0aW9uKCdob3Jpem9udGFsJykgP1xuICAgICAgICAgICAgRm9jdXNOZXh0LnByZXZpb3VzSXRlbSA6IEZvY3VzTmV4dC5jdXJyZW50SXRlbSxcbiAgICAgICAgZm9jdXNQYXJlbnRUcmlnZ2VyOiB0cnVlLFxuICAgICAgfSk7XG4gICAgfVxuICB9XG5cbiAgLyoqXG4gICAqIENsb3NlcyBhbGwgb2YgdGhlIG1lbnVzIHdoZW4gdGhlIHVzZXIgcHJlc3NlcyB0aGUgYXJyb3cgcG9pbnRpbmcgYXdheSBmcm9tIHRoZSByb290IG1lbnUgb25cbiAgICogYW4gaXRlbSB3aXRob3V0IGEgc3VibWVudSwgaWYgdGhlIHJvb3QgbWVudSBpcyBob3Jpem9udGFsLiBUaGUgcm9vdCBtZW51IHRoZW4gbW92ZXMgZm9jdXMgdG9cbiAgICogaXRzIG5leHQgaXRlbS5cbiAgICovXG4gIHByaXZhdGUgX2ZvcndhcmRBcnJvd1ByZXNzZWQoZXZlbnQ6IEtleWJvYXJkRXZlbnQpIHtcbiAgICBjb25zdCBtZW51U3RhY2sgPSB0aGlzLl9nZXRNZW51U3RhY2soKTtcblxuICAgIGlmIChtZW51U3RhY2sgJiYgIW1lbnVTdGFjay5pc0VtcHR5KCkgJiYgbWVudVN0YWNrLmhhc1Jvb3RXaXRoT3JpZW50YXRpb24oJ2hvcml6b250YWwnKSkge1xuICAgICAgZXZlbnQucHJldmVudERlZmF1bHQoKTtcbiAgICAgIG1lbnVTdGFjay5jbG9zZUFsbCh7Zm9jdXNOZXh0T25FbXB0eTogRm9jdXNOZXh0Lm5leHRJdGVtfSk7XG4gICAgfVxuICB9XG5cbiAgLyoqXG4gICAqIFN1YnNjcmliZSB0byB0aGUgbW91c2VlbnRlciBldmVudHMgYW5kIGNsb3NlIGFueSBzaWJsaW5nIG1lbnUgaXRlbXMgaWYgdGhpcyBlbGVtZW50IGlzIG1vdXNlZFxuICAgKiBpbnRvLiBJZiB0aGUgaXRlbSBvcGVucyBhIHN1Ym1lbnUsIHRoZSBzdWJtZW51IGlzIG9wZW5lZCBpbnN0ZWFkLlxuICAgKi9cbiAgcHJpdmF0ZSBfc2V0dXBNb3VzZUVudGVyKCkge1xuICAgIGlmICghdGhpcy5fcGFyZW50TWVudSkge1xuICAgICAgcmV0dXJuO1xuICAgIH1cblxuICAgIGNvbnN0IHRvZ2dsZU1lbnVzID0gKCkgPT4gdGhpcy5fbmdab25lLnJ1bigoKSA9PiB7XG4gICAgICBpZiAodGhpcy5oYXNNZW51KCkpIHtcbiAgICAgICAgdGhpcy5fbWVudVRyaWdnZXIhLm9wZW5NZW51KCk7XG4gICAgICB9IGVsc2Uge1xuICAgICAgICBjb25zdCBtZW51U3RhY2sgPSB0aGlzLl9nZXRNZW51U3RhY2soKTtcbiAgICAgICAgaWYgKG1lbnVTdGFjaykge1xuICAgICAgICAgIG1lbnVTdGFjay5jbG9zZVN1Yk1lbnVPZih0aGlzLl9wYXJlbnRNZW51ISk7XG4gICAgICAgIH1cbiAgICAgIH1cbiAgICB9KTtcblxuICAgIHRoaXMuX25nWm9uZS5ydW5PdXRzaWRlQW5ndWxhcigoKSA9PiB7XG4gICAgICBmcm9tRXZlbnQodGhpcy5fZWxlbWVudFJlZi5uYXRpdmVFbGVtZW50LCAnbW91c2VlbnRlcicpXG4gICAgICAgIC5waXBlKHRha2VVbnRpbCh0aGlzLl9kZXN0cm95ZWQpKVxuICAgICAgICAuc3Vic2NyaWJlKCgpID0+IHtcbiAgICAgICAgICBjb25zdCBtZW51U3RhY2sgPSB0aGlzLl9nZXRNZW51U3RhY2soKTtcblxuICAgICAgICAgIC8vIE1lbnVzIGFyZSBvbmx5IG9wZW5lZCBvbiBob3ZlciBpZiB0aGUgdXNlciBoYXMgYWxyZWFkeSBvcGVuZWQgb25lLFxuICAgICAgICAgIC8vIGZvciBleGFtcGxlIGJ5IGNsaWNraW5nIG9uIG9uZSBvZiB0aGUgaXRlbXMgb2YgYSBtZW51IGJhci5cbiAgICAgICAgICBpZiAoIXRoaXMuZGlzYWJsZWQgJiYgbWVudVN0YWNrICYmICFtZW51U3RhY2suaXNFbXB0eSgpICYmICF0aGlzLmlzTWVudU9wZW4oKSkge1xuICAgICAgICAgICAgdGhpcy5fbWVudUFpbSA/IHRoaXMuX21lbnVBaW0udG9nZ2xlKHRvZ2dsZU1lbnVzKSA6IHRvZ2dsZU1lbnVzKCk7XG4gICAgICAgICAgfVxuICAgICAgICB9KTtcbiAgICB9KTtcbiAgfVxuXG4gIC8qKiBHZXRzIHRoZSBzdGFjayBvZiBtZW51cyB0aGF0IHRoZSBpdGVtJ3MgcGFyZW50IG1lbnUgYmVsb25ncyB0by4gKi9cbiAgcHJpdmF0ZSBfZ2V0TWVudVN0YWNrKCk6IE1lbnVTdGFjayB8IG51bGwge1xuICAgIHJldHVybiB0aGlzLl9wYXJlbnRNZW51ID8gdGhpcy5fcGFyZW50TWVudS5fbWVudVN0YWNrIDogbnVsbDtcbiAgfVxuXG4gIHN0YXRpYyBuZ0FjY2VwdElucHV0VHlwZV9kaXNhYmxlZDogQm9vbGVhbklucHV0O1xufVxuIl19
\ No newline at end of file
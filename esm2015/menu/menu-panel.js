@@ -0,0 +1,41 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { Directive, TemplateRef } from '@angular/core';
+/**
+ * Directive applied to an ng-template which wraps a `cdkMenu` and provides a reference to the
+ * menu that can be passed to a `cdkMenuTriggerFor`. The menu is rendered inside of an overlay
+ * when the trigger is activated.
+ */
+export class CdkMenuPanel {
+    constructor(_templateRef) {
+        this._templateRef = _templateRef;
+        /** Stack of the menus that the panel's menu is pushed onto when it is opened. */
+        this._menuStack = null;
+    }
+    /**
+     * Sets the menu rendered inside of the panel and pushes it onto the menu stack.
+     * @docs-private
+     */
+    _registerMenu(menu) {
+        this._menu = menu;
+        menu._menuStack = this._menuStack;
+        if (this._menuStack) {
+            this._menuStack.push(menu);
+        }
+    }
+}
+CdkMenuPanel.decorators = [
+    { type: Directive, args: [{
+                selector: 'ng-template[cdkMenuPanel]',
+                exportAs: 'cdkMenuPanel',
+            },] }
+];
+CdkMenuPanel.ctorParameters = () => [
+    { type: TemplateRef }
+];
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoibWVudS1wYW5lbC5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbIi4uLy4uLy4uLy4uLy4uLy4uL3NyYy9jZGsvbWVudS9tZW51LXBhbmVsLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBOzs7Ozs7R0FNRztBQUVILE9BQU8sRUFBQyxTQUFTLEVBQUUsV0FBVyxFQUFDLE1BQU0sZUFBZSxDQUFDO0FBSXJEOzs7O0dBSUc7QUFLSCxNQUFNLE9BQU8sWUFBWTtJQU92QixZQUFxQixZQUFrQztRQUFsQyxpQkFBWSxHQUFaLFlBQVksQ0FBc0I7UUFIdkQsaUZBQWlGO1FBQ2pGLGVBQVUsR0FBcUIsSUFBSSxDQUFDO0lBRXNCLENBQUM7SUFFM0Q7OztPQUdHO0lBQ0gsYUFBYSxDQUFDLElBQVU7UUFDdEIsSUFBSSxDQUFDLEtBQUssR0FBRyxJQUFJLENBQUM7UUFDbEIsSUFBSSxDQUFDLFVBQVUsR0FBRyxJQUFJLENBQUMsVUFBVSxDQUFDO1FBRWxDLElBQUksSUFBSSxDQUFDLFVBQVUsRUFBRTtZQUNuQixJQUFJLENBQUMsVUFBVSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQztTQUM1QjtJQUNILENBQUM7OztZQXhCRixTQUFTLFNBQUM7Z0JBQ1QsUUFBUSxFQUFFLDJCQUEyQjtnQkFDckMsUUFBUSxFQUFFLGNBQWM7YUFDekI7OztZQVprQixXQUFXIiwic291cmNlc0NvbnRlbnQiOlsiLyoqXG4gKiBAbGljZW5zZVxuICogQ29weXJpZ2h0IEdvb2dsZSBMTEMgQWxsIFJpZ2h0cyBSZXNlcnZlZC5cbiAqXG4gKiBVc2Ugb2YgdGhpcyBzb3VyY2UgY29kZSBpcyBnb3Zlcm5lZCBieSBhbiBNSVQtc3R5bGUgbGljZW5zZSB0aGF0IGNhbiBiZVxuICogZm91bmQgaW4gdGhlIExJQ0VOU0UgZmlsZSBhdCBodHRwczovL2FuZ3VsYXIuaW8vbGljZW5zZVxuICovXG5cbmltcG9ydCB7RGlyZWN0aXZlLCBUZW1wbGF0ZVJlZn0gZnJvbSAnQGFuZ3VsYXIvY29yZSc7XG5pbXBvcnQge01lbnV9IGZyb20gJy4vbWVudS1pbnRlcmZhY2UnO1xuaW1wb3J0IHtNZW51U3RhY2t9IGZyb20gJy4vbWVudS1zdGFjayc7XG5cbi8qKlxuICogRGlyZWN0aXZlIGFwcGxpZWQgdG8gYW4gbmctdGVtcGxhdGUgd2hpY2ggd3JhcHMgYSBgY2RrTWVudWAgYW5kIHByb3ZpZGVzIGEgcmVmZXJlbmNlIHRvIHRoZVxuICogbWVudSB0aGF0IGNhbiBiZSBwYXNzZWQgdG8gYSBgY2RrTWVudVRyaWdnZXJGb3JgLiBUaGUgbWVudSBpcyByZW5kZXJlZCBpbnNpZGUgb2YgYW4gb3ZlcmxheVxuICogd2hlbiB0aGUgdHJpZ2dlciBpcyBhY3RpdmF0ZWQuXG4gKi9cbkBEaXJlY3RpdmUoe1xuICBzZWxlY3RvcjogJ25nLXRlbXBsYXRlW2Nka01lbnVQYW5lbF0nLFxuICBleHBvcnRBczogJ2Nka01lbnVQYW5lbCcsXG59KVxuZXhwb3J0IGNsYXNzIENka01lbnVQYW5lbCB7XG4gIC8qKiBSZWZlcmVuY2UgdG8gdGhlIG1lbnUgdGhhdCBpcyByZW5kZXJlZCBpbnNpZGUgb2YgdGhlIHBhbmVsLiAqL1xuICBfbWVudT86IE1lbnU7XG5cbiAgLyoqIFN0YWNrIG9mIHRoZSBtZW51cyB0aGF0IHRoZSBwYW5lbCdzIG1lbnUgaXMgcHVzaGVkIG9udG8gd2hlbiBpdCBpcyBvcGVuZWQuICovXG4gIF9tZW51U3RhY2s6IE1lbnVTdGFjayB8IG51bGwgPSBudWxsO1xuXG4gIGNvbnN0cnVjdG9yKHJlYWRvbmx5IF90ZW1wbGF0ZVJlZjogVGVtcGxhdGVSZWY8dW5rbm93bj4pIHt9XG5cbiAgLyoqXG4gICAqIFNldHMgdGhlIG1lbnUgcmVuZGVyZWQgaW5zaWRlIG9mIHRoZSBwYW5lbCBhbmQgcHVzaGVzIGl0IG9udG8gdGhlIG1lbnUgc3RhY2suXG4gICAqIEBkb2NzLXByaXZhdGVcbiAgICovXG4gIF9yZWdpc3Rlck1lbnUobWVudTogTWVudSkge1xuICAgIHRoaXMuX21lbnUgPSBtZW51O1xuICAgIG1lbnUuX21lbnVTdGFjayA9IHRoaXMuX21lbnVTdGFjaztcblxuICAgIGlmICh0aGlzLl9tZW51U3RhY2spIHtcbiAgICAgIHRoaXMuX21lbnVTdGFjay5wdXNoKG1lbnUpO1xuICAgIH1cbiAgfVxufVxuIl19
\ No newline at end of file
@@ -0,0 +1,121 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { Subject } from 'rxjs';
+/** Actions that the root menu should perform once all of the open menus have been closed. */
+export var FocusNext;
+(function (FocusNext) {
+    /** Move focus to the next item of the root menu and open its menu. */
+    FocusNext[FocusNext["nextItem"] = 0] = "nextItem";
+    /** Move focus to the previous item of the root menu and open its menu. */
+    FocusNext[FocusNext["previousItem"] = 1] = "previousItem";
+    /** Move focus back to the active item of the root menu. */
+    FocusNext[FocusNext["currentItem"] = 2] = "currentItem";
+})(FocusNext || (FocusNext = {}));
+/**
+ * Keeps track of the menus that are open, starting with the menu that was opened from the root
+ * menu (e.g. a menu bar) and ending with the most recently opened submenu. Closing a menu through
+ * the stack also closes all of the menus that were opened from it.
+ */
+export class MenuStack {
+    constructor(
+    /**
+     * Menu from which the other menus are opened and which is always visible, e.g. a menu bar.
+     * Null if the menus were opened from a trigger that isn't inside of a menu.
+     */
+    root = null) {
+        this.root = root;
+        /** Menus that are currently open, from the first one to the most recently opened one. */
+        this._elements = [];
+        /** Emits the menus that are closed, most recently opened first. */
+        this._closed = new Subject();
+        /** Emits once the stack has been emptied. */
+        this._emptied = new Subject();
+        /** Emits the menus that are closed, most recently opened first. */
+        this.closed = this._closed;
+        /** Emits the action that the root menu should perform once the stack has been emptied. */
+        this.emptied = this._emptied;
+    }
+    /** Adds a menu that was just opened to the top of the stack. */
+    push(menu) {
+        this._elements.push(menu);
+    }
+    /**
+     * Closes a menu, along with all of the menus that were opened after it.
+     * @param lastItem Menu that should be closed.
+     * @param options Options that determine where focus goes after the menus are closed.
+     */
+    close(lastItem, options) {
+        if (this._elements.indexOf(lastItem) > -1) {
+            const focusParentTrigger = !!(options && options.focusParentTrigger);
+            let poppedElement;
+            do {
+                poppedElement = this._elements.pop();
+                this._closed.next({ item: poppedElement, focusParentTrigger });
+            } while (poppedElement !== lastItem);
+            if (this.isEmpty()) {
+                this._emptied.next(options && options.focusNextOnEmpty);
+            }
+        }
+    }
+    /**
+     * Closes all of the menus that were opened after a particular menu. Closes all of the
+     * menus in the stack if the root menu is passed in.
+     * @param lastItem Menu whose submenus should be closed.
+     * @returns Whether any menus were closed.
+     */
+    closeSubMenuOf(lastItem) {
+        if (lastItem === this.root) {
+            const hadElements = !this.isEmpty();
+            this.closeAll();
+            return hadElements;
+        }
+        let removed = false;
+        if (this._elements.indexOf(lastItem) > -1) {
+            while (this.peek() !== lastItem) {
+                this._closed.next({ item: this._elements.pop(), focusParentTrigger: false });
+                removed = true;
+            }
+        }
+        return removed;
+    }
+    /**
+     * Closes all of the menus in the stack.
+     * @param options Options that determine where focus goes after the menus are closed.
+     */
+    closeAll(options) {
+        if (!this.isEmpty()) {
+            const focusParentTrigger = !!(options && options.focusParentTrigger);
+            while (!this.isEmpty()) {
+                this._closed.next({ item: this._elements.pop(), focusParentTrigger });
+            }
+            this._emptied.next(options && options.focusNextOnEmpty);
+        }
+    }
+    /** Whether there are no open menus. */
+    isEmpty() {
+        return !this._elements.length;
+    }
+    /** Number of open menus. */
+    length() {
+        return this._elements.length;
+    }
+    /** Gets the most recently opened menu. */
+    peek() {
+        return this._elements[this._elements.length - 1];
+    }
+    /** Whether the menus in the stack are opened from a root menu with a specific orientation. */
+    hasRootWithOrientation(orientation) {
+        return !!this.root && this.root.orientation === orientation;
+    }
+    /** Completes the stack's streams. */
+    destroy() {
+        this._closed.complete();
+        this._emptied.complete();
+    }
+}
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoibWVudS1zdGFjay5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbIi4uLy4uLy4uLy4uLy4uLy4uL3NyYy9jZGsvbWVudS9tZW51LXN0YWNrLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBOzs7Ozs7R0FNRztBQUVILE9BQU8sRUFBYSxPQUFPLEVBQUMsTUFBTSxNQUFNLENBQUM7QUFHekMsNkZBQTZGO0FBQzdGLE1BQU0sQ0FBTixJQUFZLFNBT1g7QUFQRCxXQUFZLFNBQVM7SUFDbkIsc0VBQXNFO0lBQ3RFLGlEQUFRLENBQUE7SUFDUiwwRUFBMEU7SUFDMUUseURBQVksQ0FBQTtJQUNaLDJEQUEyRDtJQUMzRCx1REFBVyxDQUFBO0FBQ2IsQ0FBQyxFQVBXLFNBQVMsS0FBVCxTQUFTLFFBT3BCO0FBd0JEOzs7O0dBSUc7QUFDSCxNQUFNLE9BQU8sU0FBUztJQWdCcEI7SUFDRTs7O09BR0c7SUFDTSxPQUFvQixJQUFJO1FBQXhCLFNBQUksR0FBSixJQUFJLENBQW9CO1FBcEJuQyx5RkFBeUY7UUFDeEUsY0FBUyxHQUFvQixFQUFFLENBQUM7UUFFakQsbUVBQW1FO1FBQ2xELFlBQU8sR0FBRyxJQUFJLE9BQU8sRUFBdUIsQ0FBQztRQUU5RCw2Q0FBNkM7UUFDNUIsYUFBUSxHQUFHLElBQUksT0FBTyxFQUF5QixDQUFDO1FBRWpFLG1FQUFtRTtRQUMxRCxXQUFNLEdBQW9DLElBQUksQ0FBQyxPQUFPLENBQUM7UUFFaEUsMEZBQTBGO1FBQ2pGLFlBQU8sR0FBc0MsSUFBSSxDQUFDLFFBQVEsQ0FBQztJQU85QixDQUFDO0lBRXZDLGdFQUFnRTtJQUNoRSxJQUFJLENBQUMsSUFBbUI7UUFDdEIsSUFBSSxDQUFDLFNBQVMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUM7SUFDNUIsQ0FBQztJQUVEOzs7O09BSUc7SUFDSCxLQUFLLENBQUMsUUFBdUIsRUFBRSxPQUErQjtRQUM1RCxJQUFJLElBQUksQ0FBQyxTQUFTLENBQUMsT0FBTyxDQUFDLFFBQVEsQ0FBQyxHQUFHLENBQUMsQ0FBQyxFQUFFO1lBQ3pDLE1BQU0sa0JBQWtCLEdBQUcsQ0FBQyxDQUFDLENBQUMsT0FBTyxJQUFJLE9BQU8sQ0FBQyxrQkFBa0IsQ0FBQyxDQUFDO1lBQ3JFLElBQUksYUFBNEIsQ0FBQztZQUVqQyxHQUFHO2dCQUNELGFBQWEsR0FBRyxJQUFJLENBQUMsU0FBUyxDQUFDLEdBQUcsRUFBRyxDQUFDO2dCQUN0QyxJQUFJLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxFQUFDLElBQUksRUFBRSxhQUFhLEVBQUUsa0JBQWtCLEVBQUMsQ0FBQyxDQUFDO2FBQzlELFFBQVEsYUFBYSxLQUFLLFFBQVEsRUFBRTtZQUVyQyxJQUFJLElBQUksQ0FBQyxPQUFPLEVBQUUsRUFBRTtnQkFDbEIsSUFBSSxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsT0FBTyxJQUFJLE9BQU8sQ0FBQyxnQkFBZ0IsQ0FBQyxDQUFDO2FBQ3pEO1NBQ0Y7SUFDSCxDQUFDO0lBRUQ7Ozs7O09BS0c7SUFDSCxjQUFjLENBQUMsUUFBdUI7UUFDcEMsSUFBSSxRQUFRLEtBQUssSUFBSSxDQUFDLElBQUksRUFBRTtZQUMxQixNQUFNLFdBQVcsR0FBRyxDQUFDLElBQUksQ0FBQyxPQUFPLEVBQUUsQ0FBQztZQUNwQyxJQUFJLENBQUMsUUFBUSxFQUFFLENBQUM7WUFDaEIsT0FBTyxXQUFXLENBQUM7U0FDcEI7UUFFRCxJQUFJLE9BQU8sR0FBRyxLQUFLLENBQUM7UUFFcEIsSUFBSSxJQUFJLENBQUMsU0FBUyxDQUFDLE9BQU8sQ0FBQyxRQUFRLENBQUMsR0FBRyxDQUFDLENBQUMsRUFBRTtZQUN6QyxPQUFPLElBQUksQ0FBQyxJQUFJLEVBQUUsS0FBSyxRQUFRLEVBQUU7Z0JBQy9CLElBQUksQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLEVBQUMsSUFBSSxFQUFFLElBQUksQ0FBQyxTQUFTLENBQUMsR0FBRyxFQUFHLEVBQUUsa0JBQWtCLEVBQUUsS0FBSyxFQUFDLENBQUMsQ0FBQztnQkFDNUUsT0FBTyxHQUFHLElBQUksQ0FBQzthQUNoQjtTQUNGO1FBRUQsT0FBTyxPQUFPLENBQUM7SUFDakIsQ0FBQztJQUVEOzs7T0FHRztJQUNILFFBQVEsQ0FBQyxPQUErQjtRQUN0QyxJQUFJLENBQUMsSUFBSSxDQUFDLE9BQU8sRUFBRSxFQUFFO1lBQ25CLE1BQU0sa0JBQWtCLEdBQUcsQ0FBQyxDQUFDLENBQUMsT0FBTyxJQUFJLE9BQU8sQ0FBQyxrQkFBa0IsQ0FBQyxDQUFDO1lBRXJFLE9BQU8sQ0FBQyxJQUFJLENBQUMsT0FBTyxFQUFFLEVBQUU7Z0JBQ3RCLElBQUksQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLEVBQUMsSUFBSSxFQUFFLElBQUksQ0FBQyxTQUFTLENBQUMsR0FBRyxFQUFHLEVBQUUsa0JBQWtCLEVBQUMsQ0FBQyxDQUFDO2FBQ3RFO1lBRUQsSUFBSSxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsT0FBTyxJQUFJLE9BQU8sQ0FBQyxnQkFBZ0IsQ0FBQyxDQUFDO1NBQ3pEO0lBQ0gsQ0FBQztJQUVELHVDQUF1QztJQUN2QyxPQUFPO1FBQ0wsT0FBTyxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsTUFBTSxDQUFDO0lBQ2hDLENBQUM7SUFFRCw0QkFBNEI7SUFDNUIsTUFBTTtRQUNKLE9BQU8sSUFBSSxDQUFDLFNBQVMsQ0FBQyxNQUFNLENBQUM7SUFDL0IsQ0FBQztJQUVELDBDQUEwQztJQUMxQyxJQUFJO1FBQ0YsT0FBTyxJQUFJLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDO0lBQ25ELENBQUM7SUFFRCw4RkFBOEY7SUFDOUYsc0JBQXNCLENBQUMsV0FBc0M7UUFDM0QsT0FBTyxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksSUFBSSxJQUFJLENBQUMsSUFBSSxDQUFDLFdBQVcsS0FBSyxXQUFXLENBQUM7SUFDOUQsQ0FBQztJQUVELHFDQUFxQztJQUNyQyxPQUFPO1FBQ0wsSUFBSSxDQUFDLE9BQU8sQ0FBQyxRQUFRLEVBQUUsQ0FBQztRQUN4QixJQUFJLENBQUMsUUFBUSxDQUFDLFFBQVEsRUFBRSxDQUFDO0lBQzNCLENBQUM7Q0FDRiIsInNvdXJjZXNDb250ZW50IjpbIi8qKlxuICogQGxpY2Vuc2VcbiAqIENvcHlyaWdodCBHb29nbGUgTExDIEFsbCBSaWdodHMgUmVzZXJ2ZWQuXG4gKlxuICogVXNlIG9mIHRoaXMgc291cmNlIGNvZGUgaXMgZ292ZXJuZWQgYnkgYW4gTUlULXN0eWxlIGxpY2Vuc2UgdGhhdCBjYW4gYmVcbiAqIGZvdW5kIGluIHRoZSBMSUNFTlNFIGZpbGUgYXQgaHR0cHM6Ly9hbmd1bGFyLmlvL2xpY2Vuc2VcbiAqL1xuXG5pbXBvcnQge09ic2VydmFibGUsIFN1YmplY3R9IGZyb20gJ3J4anMnO1xuaW1wb3J0IHtNZW51fSBmcm9tICcuL21lbnUtaW50ZXJmYWNlJztcblxuLyoqIEFjdGlvbnMgdGhhdCB0aGUgcm9vdCBtZW51IHNob3VsZCBwZXJmb3JtIG9uY2UgYWxsIG9mIHRoZSBvcGVuIG1lbnVzIGhhdmUgYmVlbiBjbG9zZWQuICovXG5leHBvcnQgZW51bSBGb2N1c05leHQge1xuICAvKiogTW92ZSBmb2N1cyB0byB0aGUgbmV4dCBpdGVtIG9mIHRoZSByb290IG1lbnUgYW5kIG9wZW4gaXRzIG1lbnUuICovXG4gIG5leHRJdGVtLFxuICAvKiogTW92ZSBmb2N1cyB0byB0aGUgcHJldmlvdXMgaXRlbSBvZiB0aGUgcm9vdCBtZW51IGFuZCBvcGVuIGl0cyBtZW51LiAqL1xuICBwcmV2aW91c0l0ZW0sXG4gIC8qKiBNb3ZlIGZvY3VzIGJhY2sgdG8gdGhlIGFjdGl2ZSBpdGVtIG9mIHRoZSByb290IG1lbnUuICovXG4gIGN1cnJlbnRJdGVtLFxufVxuXG4vKiogSXRlbSB0aGF0IGNhbiBiZSBwdXNoZWQgb250byBhIGBNZW51U3RhY2tgLiAqL1xuZXhwb3J0IGludGVyZmFjZSBNZW51U3RhY2tJdGVtIHtcbiAgLyoqIFN0YWNrIG9mIG1lbnVzIHRoYXQgdGhlIGl0ZW0gYmVsb25ncyB0by4gKi9cbiAgX21lbnVTdGFjazogTWVudVN0YWNrIHwgbnVsbDtcbn1cblxuLyoqIEV2ZW50IHRoYXQgaXMgZW1pdHRlZCB3aGVuIGEgbWVudSBpcyBjbG9zZWQgdGhyb3VnaCB0aGUgbWVudSBzdGFjay4gKi9cbmV4cG9ydCBpbnRlcmZhY2UgTWVudVN0YWNrQ2xvc2VFdmVudCB7XG4gIC8qKiBNZW51IHRoYXQgd2FzIGNsb3NlZC4gKi9cbiAgaXRlbTogTWVudVN0YWNrSXRlbTtcbiAgLyoqIFdoZXRoZXIgZm9jdXMgc2hvdWxkIGJlIG1vdmVkIGJhY2sgdG8gdGhlIHRyaWdnZXIgdGhhdCBvcGVuZWQgdGhlIG1lbnUuICovXG4gIGZvY3VzUGFyZW50VHJpZ2dlcjogYm9vbGVhbjtcbn1cblxuLyoqIE9wdGlvbnMgdGhhdCBkZXRlcm1pbmUgd2hlcmUgZm9jdXMgZ29lcyB3aGVuIG1lbnVzIGFyZSBjbG9zZWQgdGhyb3VnaCB0aGUgbWVudSBzdGFjay4gKi9cbmV4cG9ydCBpbnRlcmZhY2UgTWVudVN0YWNrQ2xvc2VPcHRpb25zIHtcbiAgLyoqIEFjdGlvbiB0aGF0IHRoZSByb290IG1lbnUgc2hvdWxkIHBlcmZvcm0gaWYgY2xvc2luZyB0aGUgbWVudXMgZW1wdGllcyB0aGUgc3RhY2suICovXG4gIGZvY3VzTmV4dE9uRW1wdHk/OiBGb2N1c05leHQ7XG4gIC8qKiBXaGV0aGVyIGZvY3VzIHNob3VsZCBiZSBtb3ZlZCBiYWNrIHRvIHRoZSB0cmlnZ2VycyBvZiB0aGUgbWVudXMgdGhhdCB3ZXJlIGNsb3NlZC4gKi9cbiAgZm9jdXNQYXJlbnRUcmlnZ2VyPzogYm9vbGVhbjtcbn1cblxuLyoqXG4gKiBLZWVwcyB0cmFjayBvZiB0aGUgbWVudXMgdGhhdCBhcmUgb3Blbiwgc3RhcnRpbmcgd2l0aCB0aGUgbWVudSB0aGF0IHdhcyBvcGVuZWQgZnJvbSB0aGUgcm9vdFxuICogbWVudSAoZS5nLiBhIG1lbnUgYmFyKSBhbmQgZW5kaW5nIHdpdGggdGhlIG1vc3QgcmVjZW50bHkgb3BlbmVkIHN1Ym1lbnUuIENsb3NpbmcgYSBtZW51IHRocm91Z2hcbiAqIHRoZSBzdGFjayBhbHNvIGNsb3NlcyBhbGwgb2YgdGhlIG1lbnVzIHRoYXQgd2VyZSBvcGVuZWQgZnJvbSBpdC5cbiAqL1xuZXhwb3J0IGNsYXNzIE1lbnVTdGFjayB7XG4gIC8qKiBNZW51cyB0aGF0IGFyZSBjdXJyZW50bHkgb3BlbiwgZnJvbSB0aGUgZmlyc3Qgb25lIHRvIHRoZSBtb3N0IHJlY2VudGx5IG9wZW5lZCBvbmUuICovXG4gIHByaXZhdGUgcmVhZG9ubHkgX2VsZW1lbnRzOiBNZW51U3RhY2tJdGVtW10gPSBbXTtcblxuICAvKiogRW1pdHMgdGhlIG1lbnVzIHRoYXQgYXJlIGNsb3NlZCwgbW9zdCByZWNlbnRseSBvcGVuZWQgZmlyc3QuICovXG4gIHByaXZhdGUgcmVhZG9ubHkgX2Nsb3NlZCA9IG5ldyBTdWJqZWN0PE1lbnVTdGFja0Nsb3NlRXZlbnQ+KCk7XG5cbiAgLyoqIEVtaXRzIG9uY2UgdGhlIHN0YWNrIGhhcyBiZWVuIGVtcHRpZWQuICovXG4gIHByaXZhdGUgcmVhZG9ubHkgX2VtcHRpZWQgPSBuZXcgU3ViamVjdDxGb2N1c05leHQgfCB1bmRlZmluZWQ+KCk7XG5cbiAgLyoqIEVtaXRzIHRoZSBtZW51cyB0aGF0IGFyZSBjbG9zZWQsIG1vc3QgcmVjZW50bHkgb3BlbmVkIGZpcnN0LiAqL1xuICByZWFkb25seSBjbG9zZWQ6IE9ic2VydmFibGU8TWVudVN0YWNrQ2xvc2VFdmVudD4gPSB0aGlzLl9jbG9zZWQ7XG5cbiAgLyoqIEVtaXRzIHRoZSBhY3Rpb24gdGhhdCB0aGUgcm9vdCBtZW51IHNob3VsZCBwZXJmb3JtIG9uY2UgdGhlIHN0YWNrIGhhcyBiZWVuIGVtcHRpZWQuICovXG4gIHJlYWRvbmx5IGVtcHRpZWQ6IE9ic2VydmFibGU8Rm9jdXNOZXh0IHwgdW5kZWZpbmVkPiA9IHRoaXMuX2VtcHRpZWQ7XG5cbiAgY29uc3RydWN0b3IoXG4gICAgLyoqXG4gICAgICogTWVudSBmcm9tIHdoaWNoIHRoZSBvdGhlciBtZW51cyBhcmUgb3BlbmVkIGFuZCB3aGljaCBpcyBhbHdheXMgdmlzaWJsZSwgZS5nLiBhIG1lbnUgYmFyLlxuICAgICAqIE51bGwgaWYgdGhlIG1lbnVzIHdlcmUgb3BlbmVkIGZyb20gYSB0cmlnZ2VyIHRoYXQgaXNuJ3QgaW5zaWRlIG9mIGEgbWVudS5cbiAgICAgKi9cbiAgICByZWFkb25seSByb290OiBNZW51IHwgbnVsbCA9IG51bGwpIHt9XG5cbiAgLyoqIEFkZHMgYSBtZW51IHRoYXQgd2FzIGp1c3Qgb3BlbmVkIHRvIHRoZSB0b3Agb2YgdGhlIHN0YWNrLiAqL1xuICBwdXNoKG1lbnU6IE1lbnVTdGFja0l0ZW0pOiB2b2lkIHtcbiAgICB0aGlzLl9lbGVtZW50cy5wdXNoKG1lbnUpO1xuICB9XG5cbiAgLyoqXG4gICAqIENsb3NlcyBhIG1lbnUsIGFsb25nIHdpdGggYWxsIG9mIHRoZSBtZW51cyB0aGF0IHdlcmUgb3BlbmVkIGFmdGVyIGl0LlxuICAgKiBAcGFyYW0gbGFzdEl0ZW0gTWVudSB0aGF0IHNob3VsZCBiZSBjbG9zZWQuXG4gICAqIEBwYXJhbSBvcHRpb25zIE9wdGlvbnMgdGhhdCBkZXRlcm1pbmUgd2hlcmUgZm9jdXMgZ29lcyBhZnRlciB0aGUgbWVudXMgYXJlIGNsb3NlZC5cbiAgICovXG4gIGNsb3NlKGxhc3RJdGVtOiBNZW51U3RhY2tJdGVtLCBvcHRpb25zPzogTWVudVN0YWNrQ2xvc2VPcHRpb25zKTogdm9pZCB7XG4gICAgaWYgKHRoaXMuX2VsZW1lbnRzLmluZGV4T2YobGFzdEl0ZW0pID4gLTEpIHtcbiAgICAgIGNvbnN0IGZvY3VzUGFyZW50VHJpZ2dlciA9ICEhKG9wdGlvbnMgJiYgb3B0aW9ucy5mb2N1c1BhcmVudFRyaWdnZXIpO1xuICAgICAgbGV0IHBvcHBlZEVsZW1lbnQ6IE1lbnVTdGFja0l0ZW07XG5cbiAgICAgIGRvIHtcbiAgICAgICAgcG9wcGVkRWxlbWVudCA9IHRoaXMuX2VsZW1lbnRzLnBvcCgpITtcbiAgICAgICAgdGhpcy5fY2xvc2VkLm5leHQoe2l0ZW06IHBvcHBlZEVsZW1lbnQsIGZvY3VzUGFyZW50VHJpZ2dlcn0pO1xuICAgICAgfSB3aGlsZSAocG9wcGVkRWxlbWVudCAhPT0gbGFzdEl0ZW0pO1xuXG4gICAgICBpZiAodGhpcy5pc0VtcHR5KCkpIHtcbiAgICAgICAgdGhpcy5fZW1wdGllZC5uZXh0KG9wdGlvbnMgJiYgb3B0aW9ucy5mb2N1c05leHRPbkVtcHR5KTtcbiAgICAgIH1cbiAgICB9XG4gIH1cblxuICAvKipcbiAgICogQ2xvc2VzIGFsbCBvZiB0aGUgbWVudXMgdGhhdCB3ZXJlIG9wZW5lZCBhZnRlciBhIHBhcnRpY3VsYXIgbWVudS4gQ2xvc2VzIGFsbCBvZiB0aGVcbiAgICogbWVudXMgaW4gdGhlIHN0YWNrIGlmIHRoZSByb290IG1lbnUgaXMgcGFzc2VkIGluLlxuICAgKiBAcGFyYW0gbGFzdEl0ZW0gTWVudSB3aG9zZSBzdWJtZW51cyBzaG91bGQgYmUgY2xvc2VkLlxuICAgKiBAcmV0dXJucyBXaGV0aGVyIGFueSBtZW51cyB3ZXJlIGNsb3NlZC5cbiAgICovXG4gIGNsb3NlU3ViTWVudU9mKGxhc3RJdGVtOiBNZW51U3RhY2tJdGVtKTogYm9vbGVhbiB7XG4gICAgaWYgKGxhc3RJdGVtID09PSB0aGlzLnJvb3QpIHtcbiAgICAgIGNvbnN0IGhhZEVsZW1lbnRzID0gIXRoaXMuaXNFbXB0eSgpO1xuICAgICAgdGhpcy5jbG9zZUFsbCgpO1xuICAgICAgcmV0dXJuIGhhZEVsZW1lbnRzO1xuICAgIH1cblxuICAgIGxldCByZW1vdmVkID0gZmFsc2U7XG5cbiAgICBpZiAodGhpcy5fZWxlbWVudHMuaW5kZXhPZihsYXN0SXRlbSkgPiAtMSkge1xuICAgICAgd2hpbGUgKHRoaXMucGVlaygpICE9PSBsYXN0SXRlbSkge1xuICAgICAgICB0aGlzLl9jbG9zZWQubmV4dCh7aXRlbTogdGhpcy5fZWxlbWVudHMucG9wKCkhLCBmb2N1c1BhcmVudFRyaWdnZXI6IGZhbHNlfSk7XG4gICAgICAgIHJlbW92ZWQgPSB0cnVlO1xuICAgICAgfVxuICAgIH1cblxuICAgIHJldHVybiByZW1vdmVkO1xuICB9XG5cbiAgLyoqXG4gICAqIENsb3NlcyBhbGwgb2YgdGhlIG1lbnVzIGluIHRoZSBzdGFjay5cbiAgICogQHBhcmFtIG9wdGlvbnMgT3B0aW9ucyB0aGF0IGRldGVybWluZSB3aGVyZSBmb2N1cyBnb2VzIGFmdGVyIHRoZSBtZW51cyBhcmUgY2xvc2VkLlxuICAgKi9cbiAgY2xvc2VBbGwob3B0aW9ucz86IE1lbnVTdGFja0Nsb3NlT3B0aW9ucyk6IHZvaWQge1xuICAgIGlmICghdGhpcy5pc0VtcHR5KCkpIHtcbiAgICAgIGNvbnN0IGZvY3VzUGFyZW50VHJpZ2dlciA9ICEhKG9wdGlvbnMgJiYgb3B0aW9ucy5mb2N1c1BhcmVudFRyaWdnZXIpO1xuXG4gICAgICB3aGlsZSAoIXRoaXMuaXNFbXB0eSgpKSB7XG4gICAgICAgIHRoaXMuX2Nsb3NlZC5uZXh0KHtpdGVtOiB0aGlzLl9lbGVtZW50cy5wb3AoKSEsIGZvY3VzUGFyZW50VHJpZ2dlcn0pO1xuICAgICAgfVxuXG4gICAgICB0aGlzLl9lbXB0aWVkLm5leHQob3B0aW9ucyAmJiBvcHRpb25zLmZvY3VzTmV4dE9uRW1wdHkpO1xuICAgIH1cbiAgfVxuXG4gIC8qKiBXaGV0aGVyIHRoZXJlIGFyZSBubyBvcGVuIG1lbnVzLiAqL1xuICBpc0VtcHR5KCk6IGJvb2xlYW4ge1xuICAgIHJldHVybiAhdGhpcy5fZWxlbWVudHMubGVuZ3RoO1xuICB9XG5cbiAgLyoqIE51bWJlciBvZiBvcGVuIG1lbnVzLiAqL1xuICBsZW5ndGgoKTogbnVtYmVyIHtcbiAgICByZXR1cm4gdGhpcy5fZWxlbWVudHMubGVuZ3RoO1xuICB9XG5cbiAgLyoqIEdldHMgdGhlIG1vc3QgcmVjZW50bHkgb3BlbmVkIG1lbnUuICovXG4gIHBlZWsoKTogTWVudVN0YWNrSXRlbSB8IHVuZGVmaW5lZCB7XG4gICAgcmV0dXJuIHRoaXMuX2VsZW1lbnRzW3RoaXMuX2VsZW1lbnRzLmxlbmd0aCAtIDFdO1xuICB9XG5cbiAgLyoqIFdoZXRoZXIgdGhlIG1lbnVzIGluIHRoZSBzdGFjayBhcmUgb3BlbmVkIGZyb20gYSByb290IG1lbnUgd2l0aCBhIHNwZWNpZmljIG9yaWVudGF0aW9uLiAqL1xuICBoYXNSb290V2l0aE9yaWVudGF0aW9uKG9yaWVudGF0aW9uOiAnaG9yaXpvbnRhbCcgfCAndmVydGljYWwnKTogYm9vbGVhbiB7XG4gICAgcmV0dXJuICEhdGhpcy5yb290ICYmIHRoaXMucm9vdC5vcmllbnRhdGlvbiA9PT0gb3JpZW50YXRpb247XG4gIH1cblxuICAvKiogQ29tcGxldGVzIHRoZSBzdGFjaydzIHN0cmVhbXMuICovXG4gIGRlc3Ryb3koKTogdm9pZCB7XG4gICAgdGhpcy5fY2xvc2VkLmNvbXBsZXRlKCk7XG4gICAgdGhpcy5fZW1wdGllZC5jb21wbGV0ZSgpO1xuICB9XG59XG4iXX0=
\ No newline at end of file
@@ -0,0 +1,303 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { Directionality } from '@angular/cdk/bidi';
+import { coerceBooleanProperty } from '@angular/cdk/coercion';
+import { DOWN_ARROW, ENTER, hasModifierKey, LEFT_ARROW, RIGHT_ARROW, SPACE, UP_ARROW, } from '@angular/cdk/keycodes';
+import { Overlay, OverlayConfig, } from '@angular/cdk/overlay';
+import { TemplatePortal } from '@angular/cdk/portal';
+import { Directive, ElementRef, EventEmitter, Inject, Input, Optional, Output, ViewContainerRef, } from '@angular/core';
+import { merge, Subject } from 'rxjs';
+import { filter, takeUntil } from 'rxjs/operators';
+import { CDK_MENU } from './menu-interface';
+import { MenuStack } from './menu-stack';
+/** Positions of a menu that is opened from a horizontal menu or a standalone trigger. */
+const DROPDOWN_POSITIONS = [
+    { originX: 'start', originY: 'bottom', overlayX: 'start', overlayY: 'top' },
+    { originX: 'start', originY: 'top', overlayX: 'start', overlayY: 'bottom' },
+    { originX: 'end', originY: 'bottom', overlayX: 'end', overlayY: 'top' },
+    { originX: 'end', originY: 'top', overlayX: 'end', overlayY: 'bottom' },
+];
+/** Positions of a menu that is opened from a vertical menu. */
+const SUBMENU_POSITIONS = [
+    { originX: 'end', originY: 'top', overlayX: 'start', overlayY: 'top' },
+    { originX: 'end', originY: 'bottom', overlayX: 'start', overlayY: 'bottom' },
+    { originX: 'start', originY: 'top', overlayX: 'end', overlayY: 'top' },
+    { originX: 'start', originY: 'bottom', overlayX: 'end', overlayY: 'bottom' },
+];
+/**
+ * A directive that opens a menu panel inside of an overlay when the host element is clicked or
+ * when the user presses the keys that open a menu according to the WAI-ARIA menu pattern. It can
+ * be placed on a `cdkMenuItem` in order to open a submenu, or on any other element in order to
+ * open a standalone menu. The menu is positioned using a `FlexibleConnectedPositionStrategy`
+ * and is closed when the user clicks outside of it.
+ */
+export class CdkMenuTrigger {
+    constructor(_elementRef, _viewContainerRef, _overlay, _parentMenu, _directionality) {
+        this._elementRef = _elementRef;
+        this._viewContainerRef = _viewContainerRef;
+        this._overlay = _overlay;
+        this._parentMenu = _parentMenu;
+        this._directionality = _directionality;
+        this._menuPanel = null;
+        /**
+         * Positions in which the menu can be placed, in order of preference. Defaults to below the
+         * trigger when it is inside of a horizontal menu and to the side of the trigger when it is
+         * inside of a vertical menu.
+         */
+        this.menuPosition = null;
+        this._disabled = false;
+        /** Emits when the attached menu is requested to open. */
+        this.opened = new EventEmitter();
+        /** Emits when the attached menu is requested to close. */
+        this.closed = new EventEmitter();
+        /** A reference to the overlay which manages the triggered menu. */
+        this._overlayRef = null;
+        /** The content of the menu panel opened by this trigger. */
+        this._panelContent = null;
+        /** Stack of menus used when the trigger isn't placed inside of a menu. */
+        this._standaloneMenuStack = null;
+        /** Emits when the currently open menu is closed. */
+        this._menuClosed = new Subject();
+        /** Emits when this trigger is destroyed. */
+        this._destroyed = new Subject();
+    }
+    /** Template reference variable to the menu this trigger opens. */
+    get menuPanel() { return this._menuPanel; }
+    set menuPanel(panel) {
+        if (panel !== this._menuPanel) {
+            this.closeMenu();
+            this._menuPanel = panel;
+        }
+    }
+    /** Whether the trigger is disabled. Disabled triggers don't open their menu. */
+    get disabled() { return this._disabled; }
+    set disabled(value) {
+        this._disabled = coerceBooleanProperty(value);
+    }
+    /** Whether the attached menu is open. */
+    isMenuOpen() {
+        return !!this._overlayRef && this._overlayRef.hasAttached();
+    }
+    /** Whether the trigger has a menu that it can open. */
+    hasMenu() {
+        return !!this._menuPanel;
+    }
+    /** Gets the menu that the trigger opened, if it is open. */
+    getMenu() {
+        return this.isMenuOpen() && this._menuPanel ? this._menuPanel._menu : undefined;
+    }
+    /** Opens the attached menu if it is closed and closes it if it is open. */
+    toggle() {
+        this.isMenuOpen() ? this.closeMenu() : this.openMenu();
+    }
+    /** Opens the attached menu, closing any of the sibling menus that are open. */
+    openMenu() {
+        const panel = this._menuPanel;
+        if (this.disabled || !panel || this.isMenuOpen()) {
+            return;
+        }
+        const menuStack = this._getMenuStack();
+        if (this._parentMenu) {
+            menuStack.closeSubMenuOf(this._parentMenu);
+        }
+        if (!this._overlayRef) {
+            this._overlayRef = this._overlay.create(this._getOverlayConfig());
+        }
+        else {
+            const positionStrategy = this._overlayRef.getConfig().positionStrategy;
+            positionStrategy.withPositions(this._getOverlayPositions());
+        }
+        if (!this._panelContent || this._panelContent.templateRef !== panel._templateRef) {
+            this._panelContent = new TemplatePortal(panel._templateRef, this._viewContainerRef);
+        }
+        // The menu inside of the panel pushes itself onto the stack when it is created.
+        panel._menuStack = menuStack;
+        this._overlayRef.attach(this._panelContent);
+        this._subscribeToMenuStack(menuStack);
+        this._subscribeToOutsideClicks(menuStack);
+        this.opened.next();
+    }
+    /** Closes the attached menu, along with any of the submenus that were opened from it. */
+    closeMenu() {
+        if (this.isMenuOpen()) {
+            const menu = this.getMenu();
+            // Closing through the stack ensures that the submenus are closed as well.
+            // The stack will notify the trigger once it's done so it can detach the overlay.
+            if (menu) {
+                this._getMenuStack().close(menu);
+            }
+            this._detachOverlay();
+        }
+    }
+    ngOnDestroy() {
+        this.closeMenu();
+        if (this._overlayRef) {
+            this._overlayRef.dispose();
+            this._overlayRef = null;
+        }
+        if (this._standaloneMenuStack) {
+            this._standaloneMenuStack.destroy();
+        }
+        this._menuClosed.complete();
+        this._destroyed.next();
+        this._destroyed.complete();
+    }
+    /** Gets the ID of the menu that the trigger opened, if it is open. */
+    _getMenuId() {
+        const menu = this.getMenu();
+        return menu ? menu.id : null;
+    }
+    /** Handles keyboard events on the trigger. */
+    _handleKeydown(event) {
+        if (hasModifierKey(event)) {
+            return;
+        }
+        const keyCode = event.keyCode;
+        const isParentVertical = !!this._parentMenu && this._parentMenu.orientation === 'vertical';
+        switch (keyCode) {
+            case SPACE:
+            case ENTER:
+                event.preventDefault();
+                this.toggle();
+                this._focusMenu('first');
+                break;
+            case RIGHT_ARROW:
+            case LEFT_ARROW:
+                // Arrows pointing away from the parent menu open the submenu. The arrows pointing back
+                // towards the parent menu are handled by the parent's items since they also apply to
+                // items that don't have a submenu.
+                const isRtl = !!this._directionality && this._directionality.value === 'rtl';
+                if (isParentVertical && (keyCode === RIGHT_ARROW) !== isRtl) {
+                    event.preventDefault();
+                    this.openMenu();
+                    this._focusMenu('first');
+                }
+                break;
+            case UP_ARROW:
+            case DOWN_ARROW:
+                if (!isParentVertical) {
+                    event.preventDefault();
+                    this.openMenu();
+                    this._focusMenu(keyCode === DOWN_ARROW ? 'first' : 'last');
+                }
+                break;
+        }
+    }
+    /** Moves focus into the open menu. */
+    _focusMenu(position) {
+        const menu = this.getMenu();
+        if (menu) {
+            position === 'first' ? menu.focusFirstItem('keyboard') : menu.focusLastItem('keyboard');
+        }
+    }
+    /** Detaches the overlay containing the menu and notifies any listeners. */
+    _detachOverlay() {
+        if (this.isMenuOpen()) {
+            this._menuClosed.next();
+            this._overlayRef.detach();
+            if (this._menuPanel) {
+                this._menuPanel._menu = undefined;
+            }
+            this.closed.next();
+        }
+    }
+    /** Gets the stack that the opened menu should be pushed onto. */
+    _getMenuStack() {
+        if (this._parentMenu && this._parentMenu._menuStack) {
+            return this._parentMenu._menuStack;
+        }
+        if (!this._standaloneMenuStack) {
+            this._standaloneMenuStack = new MenuStack();
+        }
+        return this._standaloneMenuStack;
+    }
+    /** Detaches the menu once it has been closed through the menu stack. */
+    _subscribeToMenuStack(menuStack) {
+        menuStack.closed.pipe(filter(event => !!this._menuPanel && event.item === this._menuPanel._menu), takeUntil(merge(this._menuClosed, this._destroyed))).subscribe(event => {
+            this._detachOverlay();
+            if (event.focusParentTrigger) {
+                this._elementRef.nativeElement.focus();
+            }
+        });
+    }
+    /** Closes all of the open menus when the user clicks outside of them. */
+    _subscribeToOutsideClicks(menuStack) {
+        this._overlayRef.outsidePointerEvents().pipe(takeUntil(merge(this._menuClosed, this._destroyed))).subscribe(event => {
+            if (!isClickInsideMenuOverlay(event.target)) {
+                menuStack.closeAll();
+            }
+        });
+    }
+    /** Gets the positions in which the menu can be placed. */
+    _getOverlayPositions() {
+        if (this.menuPosition) {
+            return this.menuPosition;
+        }
+        return this._parentMenu && this._parentMenu.orientation === 'vertical' ?
+            SUBMENU_POSITIONS : DROPDOWN_POSITIONS;
+    }
+    /** Gets the configuration for the overlay that the menu is rendered in. */
+    _getOverlayConfig() {
+        return new OverlayConfig({
+            positionStrategy: this._overlay.position()
+                .flexibleConnectedTo(this._elementRef)
+                .withLockedPosition()
+                .withGrowAfterOpen()
+                .withPositions(this._getOverlayPositions()),
+            scrollStrategy: this._overlay.scrollStrategies.reposition(),
+            direction: this._directionality,
+        });
+    }
+}
+CdkMenuTrigger.decorators = [
+    { type: Directive, args: [{
+                selector: '[cdkMenuTriggerFor]',
+                exportAs: 'cdkMenuTriggerFor',
+                host: {
+                    'class': 'cdk-menu-trigger',
+                    'aria-haspopup': 'menu',
+                    '[attr.aria-expanded]': 'isMenuOpen()',
+                    '[attr.aria-controls]': '_getMenuId()',
+                    '(click)': 'toggle()',
+                    '(keydown)': '_handleKeydown($event)',
+                },
+            },] }
+];
+CdkMenuTrigger.ctorParameters = () => [
+    { type: ElementRef },
+    { type: ViewContainerRef },
+    { type: Overlay },
+    { type: undefined, decorators: [{ type: Optional }, { type: Inject, args: [CDK_MENU,] }] },
+    { type: Directionality, decorators: [{ type: Optional }] }
+];
+CdkMenuTrigger.propDecorators = {
+    menuPanel: [{ type: Input, args: ['cdkMenuTriggerFor',] }],
+    menuPosition: [{ type: Input, args: ['cdkMenuPosition',] }],
+    disabled: [{ type: Input, args: ['cdkMenuTriggerDisabled',] }],
+    opened: [{ type: Output, args: ['cdkMenuOpened',] }],
+    closed: [{ type: Output, args: ['cdkMenuClosed',] }]
+};
+/**
+ * Whether the target element is inside of a menu which is rendered in an overlay, or is the
+ * trigger of an open menu. Clicks on such elements are handled by the menus themselves.
+ */
+function isClickInsideMenuOverlay(target) {
+    while (target) {
+        const classList = target.classList;
+        const isOpenTrigger = !!classList && classList.contains('cdk-menu-trigger') &&
+            target.getAttribute('aria-expanded') === 'true';
+        const isOverlayMenu = !!classList && classList.contains('cdk-menu') &&
+            !classList.contains('cdk-menu-inline');
+        if (isOpenTrigger || isOverlayMenu) {
+            return true;
+        }
+        target = target.parentElement;
+    }
+    return false;
+}
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoibWVudS10cmlnZ2VyLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiLi4vLi4vLi4vLi4vLi4vLi4vc3JjL2Nkay9tZW51L21lbnUtdHJpZ2dlci50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiQUFBQTs7Ozs7O0dBTUc7QUFFSCxPQUFPLEVBQUMsY0FBYyxFQUFDLE1BQU0sbUJBQW1CLENBQUM7QUFDakQsT0FBTyxFQUFlLHFCQUFxQixFQUFDLE1BQU0sdUJBQXVCLENBQUM7QUFDMUUsT0FBTyxFQUNMLFVBQVUsRUFDVixLQUFLLEVBQ0wsY0FBYyxFQUNkLFVBQVUsRUFDVixXQUFXLEVBQ1gsS0FBSyxFQUNMLFFBQVEsR0FDVCxNQUFNLHVCQUF1QixDQUFDO0FBQy9CLE9BQU8sRUFHTCxPQUFPLEVBQ1AsYUFBYSxHQUVkLE1BQU0sc0JBQXNCLENBQUM7QUFDOUIsT0FBTyxFQUFDLGNBQWMsRUFBQyxNQUFNLHFCQUFxQixDQUFDO0FBQ25ELE9BQU8sRUFDTCxTQUFTLEVBQ1QsVUFBVSxFQUNWLFlBQVksRUFDWixNQUFNLEVBQ04sS0FBSyxFQUVMLFFBQVEsRUFDUixNQUFNLEVBQ04sZ0JBQWdCLEdBQ2pCLE1BQU0sZUFBZSxDQUFDO0FBQ3ZCLE9BQU8sRUFBQyxLQUFLLEVBQUUsT0FBTyxFQUFDLE1BQU0sTUFBTSxDQUFDO0FBQ3BDLE9BQU8sRUFBQyxNQUFNLEVBQUUsU0FBUyxFQUFDLE1BQU0sZ0JBQWdCLENBQUM7QUFDakQsT0FBTyxFQUFDLFFBQVEsRUFBTyxNQUFNLGtCQUFrQixDQUFDO0FBRWhELE9BQU8sRUFBQyxTQUFTLEVBQUMsTUFBTSxjQUFjLENBQUM7QUFFdkMseUZBQXlGO0FBQ3pGLE1BQU0sa0JBQWtCLEdBQXdCO0lBQzlDLEVBQUMsT0FBTyxFQUFFLE9BQU8sRUFBRSxPQUFPLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBRSxPQUFPLEVBQUUsUUFBUSxFQUFFLEtBQUssRUFBQztJQUN6RSxFQUFDLE9BQU8sRUFBRSxPQUFPLEVBQUUsT0FBTyxFQUFFLEtBQUssRUFBRSxRQUFRLEVBQUUsT0FBTyxFQUFFLFFBQVEsRUFBRSxRQUFRLEVBQUM7SUFDekUsRUFBQyxPQUFPLEVBQUUsS0FBSyxFQUFFLE9BQU8sRUFBRSxRQUFRLEVBQUUsUUFBUSxFQUFFLEtBQUssRUFBRSxRQUFRLEVBQUUsS0FBSyxFQUFDO0lBQ3JFLEVBQUMsT0FBTyxFQUFFLEtBQUssRUFBRSxPQUFPLEVBQUUsS0FBSyxFQUFFLFFBQVEsRUFBRSxLQUFLLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBQztDQUN0RSxDQUFDO0FBRUYsK0RBQStEO0FBQy9ELE1BQU0saUJBQWlCLEdBQXdCO0lBQzdDLEVBQUMsT0FBTyxFQUFFLEtBQUssRUFBRSxPQUFPLEVBQUUsS0FBSyxFQUFFLFFBQVEsRUFBRSxPQUFPLEVBQUUsUUFBUSxFQUFFLEtBQUssRUFBQztJQUNwRSxFQUFDLE9BQU8sRUFBRSxLQUFLLEVBQUUsT0FBTyxFQUFFLFFBQVEsRUFBRSxRQUFRLEVBQUUsT0FBTyxFQUFFLFFBQVEsRUFBRSxRQUFRLEVBQUM7SUFDMUUsRUFBQyxPQUFPLEVBQUUsT0FBTyxFQUFFLE9BQU8sRUFBRSxLQUFLLEVBQUUsUUFBUSxFQUFFLEtBQUssRUFBRSxRQUFRLEVBQUUsS0FBSyxFQUFDO0lBQ3BFLEVBQUMsT0FBTyxFQUFFLE9BQU8sRUFBRSxPQUFPLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBRSxLQUFLLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBQztDQUMzRSxDQUFDO0FBRUY7Ozs7OztHQU1HO0FBYUgsTUFBTSxPQUFPLGNBQWM7SUFnRHpCLFlBQ21CLFdBQW9DLEVBQ3BDLGlCQUFtQyxFQUNuQyxRQUFpQixFQUNhLFdBQWtCLEVBQ3BDLGVBQWdDO1FBSjVDLGdCQUFXLEdBQVgsV0FBVyxDQUF5QjtRQUNwQyxzQkFBaUIsR0FBakIsaUJBQWlCLENBQWtCO1FBQ25DLGFBQVEsR0FBUixRQUFRLENBQVM7UUFDYSxnQkFBVyxHQUFYLFdBQVcsQ0FBTztRQUNwQyxvQkFBZSxHQUFmLGVBQWUsQ0FBaUI7UUEzQ3ZELGVBQVUsR0FBd0IsSUFBSSxDQUFDO1FBRS9DOzs7O1dBSUc7UUFDdUIsaUJBQVksR0FBK0IsSUFBSSxDQUFDO1FBUWxFLGNBQVMsR0FBRyxLQUFLLENBQUM7UUFFMUIseURBQXlEO1FBQ3ZCLFdBQU0sR0FBdUIsSUFBSSxZQUFZLEVBQUUsQ0FBQztRQUVsRiwwREFBMEQ7UUFDeEIsV0FBTSxHQUF1QixJQUFJLFlBQVksRUFBRSxDQUFDO1FBRWxGLG1FQUFtRTtRQUMzRCxnQkFBVyxHQUFzQixJQUFJLENBQUM7UUFFOUMsNERBQTREO1FBQ3BELGtCQUFhLEdBQTBCLElBQUksQ0FBQztRQUVwRCwwRUFBMEU7UUFDbEUseUJBQW9CLEdBQXFCLElBQUksQ0FBQztRQUV0RCxvREFBb0Q7UUFDbkMsZ0JBQVcsR0FBRyxJQUFJLE9BQU8sRUFBUSxDQUFDO1FBRW5ELDRDQUE0QztRQUMzQixlQUFVLEdBQUcsSUFBSSxPQUFPLEVBQVEsQ0FBQztJQU9nQixDQUFDO0lBcERuRSxrRUFBa0U7SUFDbEUsSUFDSSxTQUFTLEtBQTBCLE9BQU8sSUFBSSxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUM7SUFDaEUsSUFBSSxTQUFTLENBQUMsS0FBMEI7UUFDdEMsSUFBSSxLQUFLLEtBQUssSUFBSSxDQUFDLFVBQVUsRUFBRTtZQUM3QixJQUFJLENBQUMsU0FBUyxFQUFFLENBQUM7WUFDakIsSUFBSSxDQUFDLFVBQVUsR0FBRyxLQUFLLENBQUM7U0FDekI7SUFDSCxDQUFDO0lBVUQsZ0ZBQWdGO0lBQ2hGLElBQ0ksUUFBUSxLQUFjLE9BQU8sSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUM7SUFDbEQsSUFBSSxRQUFRLENBQUMsS0FBYztRQUN6QixJQUFJLENBQUMsU0FBUyxHQUFHLHFCQUFxQixDQUFDLEtBQUssQ0FBQyxDQUFDO0lBQ2hELENBQUM7SUErQkQseUNBQXlDO0lBQ3pDLFVBQVU7UUFDUixPQUFPLENBQUMsQ0FBQyxJQUFJLENBQUMsV0FBVyxJQUFJLElBQUksQ0FBQyxXQUFXLENBQUMsV0FBVyxFQUFFLENBQUM7SUFDOUQsQ0FBQztJQUVELHVEQUF1RDtJQUN2RCxPQUFPO1FBQ0wsT0FBTyxDQUFDLENBQUMsSUFBSSxDQUFDLFVBQVUsQ0FBQztJQUMzQixDQUFDO0lBRUQsNERBQTREO0lBQzVELE9BQU87UUFDTCxPQUFPLElBQUksQ0FBQyxVQUFVLEVBQUUsSUFBSSxJQUFJLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsVUFBVSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDO0lBQ2xGLENBQUM7SUFFRCwyRUFBMkU7SUFDM0UsTUFBTTtRQUNKLElBQUksQ0FBQyxVQUFVLEVBQUUsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLFNBQVMsRUFBRSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsUUFBUSxFQUFFLENBQUM7SUFDekQsQ0FBQztJQUVELCtFQUErRTtJQUMvRSxRQUFRO1FBQ04sTUFBTSxLQUFLLEdBQUcsSUFBSSxDQUFDLFVBQVUsQ0FBQztRQUU5QixJQUFJLElBQUksQ0FBQyxRQUFRLElBQUksQ0FBQyxLQUFLLElBQUksSUFBSSxDQUFDLFVBQVUsRUFBRSxFQUFFO1lBQ2hELE9BQU87U0FDUjtRQUVELE1BQU0sU0FBUyxHQUFHLElBQUksQ0FBQyxhQUFhLEVBQUUsQ0FBQztRQUV2QyxJQUFJLElBQUksQ0FBQyxXQUFXLEVBQUU7WUFDcEIsU0FBUyxDQUFDLGNBQWMsQ0FBQyxJQUFJLENBQUMsV0FBVyxDQUFDLENBQUM7U0FDNUM7UUFFRCxJQUFJLENBQUMsSUFBSSxDQUFDLFdBQVcsRUFBRTtZQUNyQixJQUFJLENBQUMsV0FBVyxHQUFHLElBQUksQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxpQkFBaUIsRUFBRSxDQUFDLENBQUM7U0FDbkU7YUFBTTtZQUNMLE1BQU0sZ0JBQWdCLEdBQ2xCLElBQUksQ0FBQyxXQUFXLENBQUMsU0FBUyxFQUFFLENBQUMsZ0JBQXFELENBQUM7WUFDdkYsZ0JBQWdCLENBQUMsYUFBYSxDQUFDLElBQUksQ0FBQyxvQkFBb0IsRUFBRSxDQUFDLENBQUM7U0FDN0Q7UUFFRCxJQUFJLENBQUMsSUFBSSxDQUFDLGFBQWEsSUFBSSxJQUFJLENBQUMsYUFBYSxDQUFDLFdBQVcsS0FBSyxLQUFLLENBQUMsWUFBWSxFQUFFO1lBQ2hGLElBQUksQ0FBQyxhQUFhLEdBQUcsSUFBSSxjQUFjLENBQUMsS0FBSyxDQUFDLFlBQVksRUFBRSxJQUFJLENBQUMsaUJBQWlCLENBQUMsQ0FBQztTQUNyRjtRQUVELGdGQUFnRjtRQUNoRixLQUFLLENBQUMsVUFBVSxHQUFHLFNBQVMsQ0FBQztRQUM3QixJQUFJLENBQUMsV0FBVyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsYUFBYSxDQUFDLENBQUM7UUFDNUMsSUFBSSxDQUFDLHFCQUFxQixDQUFDLFNBQVMsQ0FBQyxDQUFDO1FBQ3RDLElBQUksQ0FBQyx5QkFBeUIsQ0FBQyxTQUFTLENBQUMsQ0FBQztRQUMxQyxJQUFJLENBQUMsTUFBTSxDQUFDLElBQUksRUFBRSxDQUFDO0lBQ3JCLENBQUM7SUFFRCx5RkFBeUY7SUFDekYsU0FBUztRQUNQLElBQUksSUFBSSxDQUFDLFVBQVUsRUFBRSxFQUFFO1lBQ3JCLE1BQU0sSUFBSSxHQUFHLElBQUksQ0FBQyxPQUFPLEVBQUUsQ0FBQztZQUU1QiwwRUFBMEU7WUFDMUUsaUZBQWlGO1lBQ2pGLElBQUksSUFBSSxFQUFFO2dCQUNSLElBQUksQ0FBQyxhQUFhLEVBQUUsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLENBQUM7YUFDbEM7WUFFRCxJQUFJLENBQUMsY0FBYyxFQUFFLENBQUM7U0FDdkI7SUFDSCxDQUFDO0lBRUQsV0FBVztRQUNULElBQUksQ0FBQyxTQUFTLEVBQUUsQ0FBQztRQUVqQixJQUFJLElBQUksQ0FBQyxXQUFXLEVBQUU7WUFDcEIsSUFBSSxDQUFDLFdBQVcsQ0FBQyxPQUFPLEVBQUUsQ0FBQztZQUMzQixJQUFJLENBQUMsV0FBVyxHQUFHLElBQUksQ0FBQztTQUN6QjtRQUVELElBQUksSUFBSSxDQUFDLG9CQUFvQixFQUFFO1lBQzdCLElBQUksQ0FBQyxvQkFBb0IsQ0FBQyxPQUFPLEVBQUUsQ0FBQztTQUNyQztRQUVELElBQUksQ0FBQyxXQUFXLENBQUMsUUFBUSxFQUFFLENBQUM7UUFDNUIsSUFBSSxDQUFDLFVBQVUsQ0FBQyxJQUFJLEVBQUUsQ0FBQztRQUN2QixJQUFJLENBQUMsVUFBVSxDQUFDLFFBQVEsRUFBRSxDQUFDO0lBQzdCLENBQUM7SUFFRCxzRUFBc0U7SUFDdEUsVUFBVTtRQUNSLE1BQU0sSUFBSSxHQUFHLElBQUksQ0FBQyxPQUFPLEVBQUUsQ0FBQztRQUM1QixPQUFPLElBQUksQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDO0lBQy9CLENBQUM7SUFFRCw4Q0FBOEM7SUFDOUMsY0FBYyxDQUFDLEtBQW9CO1FBQ2pDLElBQUksY0FBYyxDQUFDLEtBQUssQ0FBQyxFQUFFO1lBQ3pCLE9BQU87U0FDUjtRQUVELE1BQU0sT0FBTyxHQUFHLEtBQUssQ0FBQyxPQUFPLENBQUM7UUFDOUIsTUFBTSxnQkFBZ0IsR0FBRyxDQUFDLENBQUMsSUFBSSxDQUFDLFdBQVcsSUFBSSxJQUFJLENBQUMsV0FBVyxDQUFDLFdBQVcsS0FBSyxVQUFVLENBQUM7UUFFM0YsUUFBUSxPQUFPLEVBQUU7WUFDZixLQUFLLEtBQUssQ0FBQztZQUNYLEtBQUssS0FBSztnQkFDUixLQUFLLENBQUMsY0FBYyxFQUFFLENBQUM7Z0JBQ3ZCLElBQUksQ0FBQyxNQUFNLEVBQUUsQ0FBQztnQkFDZCxJQUFJLENBQUMsVUFBVSxDQUFDLE9BQU8sQ0FBQyxDQUFDO2dCQUN6QixNQUFNO1lBRVIsS0FBSyxXQUFXLENBQUM7WUFDakIsS0FBSyxVQUFVO2dCQUNiLHVGQUF1RjtnQkFDdkYscUZBQXFGO2dCQUNyRixtQ0FBbUM7Z0JBQ25DLE1BQU0sS0FBSyxHQUFHLENBQUMsQ0FBQyxJQUFJLENBQUMsZUFBZSxJQUFJLElBQUksQ0FBQyxlQUFlLENBQUMsS0FBSyxLQUFLLEtBQUssQ0FBQztnQkFFN0UsSUFBSSxnQkFBZ0IsSUFBSSxDQUFDLE9BQU8sS0FBSyxXQUFXLENBQUMsS0FBSyxLQUFLLEVBQUU7b0JBQzNELEtBQUssQ0FBQyxjQUFjLEVBQUUsQ0FBQztvQkFDdkIsSUFBSSxDQUFDLFFBQVEsRUFBRSxDQUFDO29CQUNoQixJQUFJLENBQUMsVUFBVSxDQUFDLE9BQU8sQ0FBQyxDQUFDO2lCQUMxQjtnQkFDRCxNQUFNO1lBRVIsS0FBSyxRQUFRLENBQUM7WUFDZCxLQUFLLFVBQVU7Z0JBQ2IsSUFBSSxDQUFDLGdCQUFnQixFQUFFO29CQUNyQixLQUFLLENBQUMsY0FBYyxFQUFFLENBQUM7b0JBQ3ZCLElBQUksQ0FBQyxRQUFRLEVBQUUsQ0FBQztvQkFDaEIsSUFBSSxDQUFDLFVBQVUsQ0FBQyxPQUFPLEtBQUssVUFBVSxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDO2lCQUM1RDtnQkFDRCxNQUFNO1NBQ1Q7SUFDSCxDQUFDO0lBRUQsc0NBQXNDO0lBQzlCLFVBQVUsQ0FBQyxRQUEwQjtRQUMzQyxNQUFNLElBQUksR0FBRyxJQUFJLENBQUMsT0FBTyxFQUFFLENBQUM7UUFFNUIsSUFBSSxJQUFJLEVBQUU7WUFDUixRQUFRLEtBQUssT0FBTyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsY0FBYyxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsYUFBYSxDQUFDLFVBQVUsQ0FBQyxDQUFDO1NBQ3pGO0lBQ0gsQ0FBQztJQUVELDJFQUEyRTtJQUNuRSxjQUFjO1FBQ3BCLElBQUksSUFBSSxDQUFDLFVBQVUsRUFBRSxFQUFFO1lBQ3JCLElBQUksQ0FBQyxXQUFXLENBQUMsSUFBSSxFQUFFLENBQUM7WUFDeEIsSUFBSSxDQUFDLFdBQVksQ0FBQyxNQUFNLEVBQUUsQ0FBQztZQUUzQixJQUFJLElBQUksQ0FBQyxVQUFVLEVBQUU7Z0JBQ25CLElBQUksQ0FBQyxVQUFVLENBQUMsS0FBSyxHQUFHLFNBQVMsQ0FBQzthQUNuQztZQUVELElBQUksQ0FBQyxNQUFNLENBQUMsSUFBSSxFQUFFLENBQUM7U0FDcEI7SUFDSCxDQUFDO0lBRUQsaUVBQWlFO0lBQ3pELGFBQWE7UUFDbkIsSUFBSSxJQUFJLENBQUMsV0FBVyxJQUFJLElBQUksQ0FBQyxXQUFXLENBQUMsVUFBVSxFQUFFO1lBQ25ELE9BQU8sSUFBSSxDQUFDLFdBQVcsQ0FBQyxVQUFVLENBQUM7U0FDcEM7UUFFRCxJQUFJLENBQUMsSUFBSSxDQUFDLG9CQUFvQixFQUFFO1lBQzlCLElBQUksQ0FBQyxvQkFBb0IsR0FBRyxJQUFJLFNBQVMsRUFBRSxDQUFDO1NBQzdDO1FBRUQsT0FBTyxJQUFJLENBQUMsb0JBQW9CLENBQUM7SUFDbkMsQ0FBQztJQUVELHdFQUF3RTtJQUNoRSxxQkFBcUIsQ0FBQyxTQUFvQjtRQUNoRCxTQUFTLENBQUMsTUFBTSxDQUFDLElBQUksQ0FDbkIsTUFBTSxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxVQUFVLElBQUksS0FBSyxDQUFDLElBQUksS0FBSyxJQUFJLENBQUMsVUFBVSxDQUFDLEtBQUssQ0FBQyxFQUMxRSxTQUFTLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxXQUFXLEVBQUUsSUFBSSxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQ3BELENBQUMsU0FBUyxDQUFDLEtBQUssQ0FBQyxFQUFFO1lBQ2xCLElBQUksQ0FBQyxjQUFjLEVBQUUsQ0FBQztZQUV0QixJQUFJLEtBQUssQ0FBQyxrQkFBa0IsRUFBRTtnQkFDNUIsSUFBSSxDQUFDLFdBQVcsQ0FBQyxhQUFhLENBQUMsS0FBSyxFQUFFLENBQUM7YUFDeEM7UUFDSCxDQUFDLENBQUMsQ0FBQztJQUNMLENBQUM7SUFFRCx5RUFBeUU7SUFDakUseUJBQXlCLENBQUMsU0FBb0I7UUFDcEQsSUFBSSxDQUFDLFdBQVksQ0FBQyxvQkFBb0IsRUFBRSxDQUFDLElBQUksQ0FDM0MsU0FBUyxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsV0FBVyxFQUFFLElBQUksQ0FBQyxVQUFVLENBQUMsQ0FBQyxDQUNwRCxDQUFDLFNBQVMsQ0FBQyxLQUFLLENBQUMsRUFBRTtZQUNsQixJQUFJLENBQUMsd0JBQXdCLENBQUMsS0FBSyxDQUFDLE1BQXdCLENBQUMsRUFBRTtnQkFDN0QsU0FBUyxDQUFDLFFBQVEsRUFBRSxDQUFDO2FBQ3RCO1FBQ0gsQ0FBQyxDQUFDLENBQUM7SUFDTCxDQUFDO0lBRUQsMERBQTBEO0lBQ2xELG9CQUFvQjtRQUMxQixJQUFJLElBQUksQ0FBQyxZQUFZLEVBQUU7WUFDckIsT0FBTyxJQUFJLENBQUMsWUFBWSxDQUFDO1NBQzFCO1FBRUQsT0FBTyxJQUFJLENBQUMsV0FBVyxJQUFJLElBQUksQ0FBQyxXQUFXLENBQUMsV0FBVyxLQUFLLFVBQVUsQ0FBQyxDQUFDO1lBQ3BFLGlCQUFpQixDQUFDLENBQUMsQ0FBQyxrQkFBa0IsQ0FBQztJQUM3QyxDQUFDO0lBRUQsMkVBQTJFO0lBQ25FLGlCQUFpQjtRQUN2QixPQUFPLElBQUksYUFBYSxDQUFDO1lBQ3ZCLGdCQUFnQixFQUFFLElBQUksQ0FBQyxRQUFRLENBQUMsUUFBUSxFQUFFO2lCQUN2QyxtQkFBbUIsQ0FBQyxJQUFJLENBQUMsV0FBVyxDQUFDO2lCQUNyQyxrQkFBa0IsRUFBRTtpQkFDcEIsaUJBQWlCLEVBQUU7aUJBQ25CLGFBQWEsQ0FBQyxJQUFJLENBQUMsb0JBQW9CLEVBQUUsQ0FBQztZQUM3QyxjQUFjLEVBQUUsSUFBSSxDQUFDLFFBQVEsQ0FBQyxnQkFBZ0IsQ0FBQyxVQUFVLEVBQUU7WUFDM0QsU0FBUyxFQUFFLElBQUksQ0FBQyxlQUFlO1NBQ2hDLENBQUMsQ0FBQztJQUNMLENBQUM7OztZQTNSRixTQUFTLFNBQUM7Z0JBQ1QsUUFBUSxFQUFFLHFCQUFxQjtnQkFDL0IsUUFBUSxFQUFFLG1CQUFtQjtnQkFDN0IsSUFBSSxFQUFFO29CQUNKLE9BQU8sRUFBRSxrQkFBa0I7b0JBQzNCLGVBQWUsRUFBRSxNQUFNO29CQUN2QixzQkFBc0IsRUFBRSxjQUFjO29CQUN0QyxzQkFBc0IsRUFBRSxjQUFjO29CQUN0QyxTQUFTLEVBQUUsVUFBVTtvQkFDckIsV0FBVyxFQUFFLHdCQUF3QjtpQkFDdEM7YUFDRjs7O1lBakRDLFVBQVU7WUFPVixnQkFBZ0I7WUFkaEIsT0FBTzs0Q0E2R0osUUFBUSxZQUFJLE1BQU0sU0FBQyxRQUFRO1lBM0h4QixjQUFjLHVCQTRIakIsUUFBUTs7O3dCQW5EVixLQUFLLFNBQUMsbUJBQW1COzJCQWV6QixLQUFLLFNBQUMsaUJBQWlCO3VCQUd2QixLQUFLLFNBQUMsd0JBQXdCO3FCQVE5QixNQUFNLFNBQUMsZUFBZTtxQkFHdEIsTUFBTSxTQUFDLGVBQWU7O0FBcVB6Qjs7O0dBR0c7QUFDSCxTQUFTLHdCQUF3QixDQUFDLE1BQXNCO0lBQ3RELE9BQU8sTUFBTSxFQUFFO1FBQ2IsTUFBTSxTQUFTLEdBQUcsTUFBTSxDQUFDLFNBQVMsQ0FBQztRQUNuQyxNQUFNLGFBQWEsR0FBRyxDQUFDLENBQUMsU0FBUyxJQUFJLFNBQVMsQ0FBQyxRQUFRLENBQUMsa0JBQWtCLENBQUM7WUFDckQsTUFBTSxDQUFDLFlBQVksQ0FBQyxlQUFlLENBQUMsS0FBSyxNQUFNLENBQUM7UUFDdEUsTUFBTSxhQUFhLEdBQUcsQ0FBQyxDQUFDLFNBQVMsSUFBSSxTQUFTLENBQUMsUUFBUSxDQUFDLFVBQVUsQ0FBQztZQUM3QyxDQUFDLFNBQVMsQ0FBQyxRQUFRLENBQUMsaUJBQWlCLENBQUMsQ0FBQztRQUU3RCxJQUFJLGFBQWEsSUFBSSxhQUFhLEVBQUU7WUFDbEMsT0FBTyxJQUFJLENBQUM7U0FDYjtRQUVELE1BQU0sR0FBRyxNQUFNLENBQUMsYUFBYSxDQUFDO0tBQy9CO0lBRUQsT0FBTyxLQUFLLENBQUM7QUFDZixDQUFDIiwic291cmNlc0NvbnRlbnQiOlsiLyoqXG4gKiBAbGljZW5zZVxuICogQ29weXJpZ2h0IEdvb2dsZSBMTEMgQWxsIFJpZ2h0cyBSZXNlcnZlZC5cbiAqXG4gKiBVc2Ugb2YgdGhpcyBzb3VyY2UgY29kZSBpcyBnb3Zlcm5lZCBieSBhbiBNSVQtc3R5bGUgbGljZW5zZSB0aGF0IGNhbiBiZVxuICogZm91bmQgaW4gdGhlIExJQ0VOU0UgZmlsZSBhdCBodHRwczovL2FuZ3VsYXIuaW8vbGljZW5zZVxuICovXG5cbmltcG9ydCB7RGlyZWN0aW9uYWxpdHl9IGZyb20gJ0Bhbmd1bGFyL2Nkay9iaWRpJztcbmltcG9ydCB7Qm9vbGVhbklucHV0LCBjb2VyY2VCb29sZWFuUHJvcGVydHl9IGZyb20gJ0Bhbmd1bGFyL2Nkay9jb2VyY2lvbic7XG5pbXBvcnQge1xuICBET1dOX0FSUk9XLFxuICBFTlRFUixcbiAgaGFzTW9kaWZpZXJLZXksXG4gIExFRlRfQVJST1csXG4gIFJJR0hUX0FSUk9XLFxuICBTUEFDRSxcbiAgVVBfQVJST1csXG59IGZyb20gJ0Bhbmd1bGFyL2Nkay9rZXljb2Rlcyc7XG5pbXBvcnQge1xuICBDb25uZWN0ZWRQb3NpdGlvbixcbiAgRmxleGlibGVDb25uZWN0ZWRQb3NpdGlvblN0cmF0ZWd5LFxuICBPdmVybGF5LFxuICBPdmVybGF5Q29uZmlnLFxuICBPdmVybGF5UmVmLFxufSBmcm9tICdAYW5ndWxhci9jZGsvb3ZlcmxheSc7XG5pbXBvcnQge1RlbXBsYXRlUG9ydGFsfSBmcm9tICdAYW5ndWxhci9jZGsvcG9ydGFsJztcbmltcG9ydCB7XG4gIERpcmVjdGl2ZSxcbiAgRWxlbWVudFJlZixcbiAgRXZlbnRFbWl0dGVyLFxuICBJbmplY3QsXG4gIElucHV0LFxuICBPbkRlc3Ryb3ksXG4gIE9wdGlvbmFsLFxuICBPdXRwdXQsXG4gIFZpZXdDb250YWluZXJSZWYsXG59IGZyb20gJ0Bhbmd1bGFyL2NvcmUnO1xuaW1wb3J0IHttZXJnZSwgU3ViamVjdH0gZnJvbSAncnhqcyc7XG5pbXBvcnQge2ZpbHRlciwgdGFrZVVudGlsfSBmcm9tICdyeGpzL29wZXJhdG9ycyc7XG5pbXBvcnQge0NES19NRU5VLCBNZW51fSBmcm9tICcuL21lbnUtaW50ZXJmYWNlJztcbmltcG9ydCB7Q2RrTWVudVBhbmVsfSBmcm9tICcuL21lbnUtcGFuZWwnO1xuaW1wb3J0IHtNZW51U3RhY2t9IGZyb20gJy4vbWVudS1zdGFjayc7XG5cbi8qKiBQb3NpdGlvbnMgb2YgYSBtZW51IHRoYXQgaXMgb3BlbmVkIGZyb20gYSBob3Jpem9udGFsIG1lbnUgb3IgYSBzdGFuZGFsb25lIHRyaWdnZXIuICovXG5jb25zdCBEUk9QRE9XTl9QT1NJVElPTlM6IENvbm5lY3RlZFBvc2l0aW9uW10gPSBbXG4gIHtvcmlnaW5YOiAnc3RhcnQnLCBvcmlnaW5ZOiAnYm90dG9tJywgb3ZlcmxheVg6ICdzdGFydCcsIG92ZXJsYXlZOiAndG9wJ30sXG4gIHtvcmlnaW5YOiAnc3RhcnQnLCBvcmlnaW5ZOiAndG9wJywgb3ZlcmxheVg6ICdzdGFydCcsIG92ZXJsYXlZOiAnYm90dG9tJ30sXG4gIHtvcmlnaW5YOiAnZW5kJywgb3JpZ2luWTogJ2JvdHRvbScsIG92ZXJsYXlYOiAnZW5kJywgb3ZlcmxheVk6ICd0b3AnfSxcbiAge29yaWdpblg6ICdlbmQnLCBvcmlnaW5ZOiAndG9wJywgb3ZlcmxheVg6ICdlbmQnLCBvdmVybGF5WTogJ2JvdHRvbSd9LFxuXTtcblxuLyoqIFBvc2l0aW9ucyBvZiBhIG1lbnUgdGhhdCBpcyBvcGVuZWQgZnJvbSBhIHZlcnRpY2FsIG1lbnUuICovXG5jb25zdCBTVUJNRU5VX1BPU0lUSU9OUzogQ29ubmVjdGVkUG9zaXRpb25bXSA9IFtcbiAge29yaWdpblg6ICdlbmQnLCBvcmlnaW5ZOiAndG9wJywgb3ZlcmxheVg6ICdzdGFydCcsIG92ZXJsYXlZOiAndG9wJ30sXG4gIHtvcmlnaW5YOiAnZW5kJywgb3JpZ2luWTogJ2JvdHRvbScsIG92ZXJsYXlYOiAnc3RhcnQnLCBvdmVybGF5WTogJ2JvdHRvbSd9LFxuICB7b3JpZ2luWDogJ3N0YXJ0Jywgb3JpZ2luWTogJ3RvcCcsIG92ZXJsYXlYOiAnZW5kJywgb3ZlcmxheVk6ICd0b3AnfSxcbiAge29yaWdpblg6ICdzdGFydCcsIG9yaWdpblk6ICdib3R0b20nLCBvdmVybGF5WDogJ2VuZCcsIG92ZXJsYXlZOiAnYm90dG9tJ30sXG5dO1xuXG4vKipcbiAqIEEgZGlyZWN0aXZlIHRoYXQgb3BlbnMgYSBtZW51IHBhbmVsIGluc2lkZSBvZiBhbiBvdmVybGF5IHdoZW4gdGhlIGhvc3QgZWxlbWVudCBpcyBjbGlja2VkIG9yXG4gKiB3aGVuIHRoZSB1c2VyIHByZXNzZXMgdGhlIGtleXMgdGhhdCBvcGVuIGEgbWVudSBhY2NvcmRpbmcgdG8gdGhlIFdBSS1BUklBIG1lbnUgcGF0dGVybi4gSXQgY2FuXG4gKiBiZSBwbGFjZWQgb24gYSBgY2RrTWVudUl0ZW1gIGluIG9yZGVyIHRvIG9wZW4gYSBzdWJtZW51LCBvciBvbiBhbnkgb3RoZXIgZWxlbWVudCBpbiBvcmRlciB0b1xuICogb3BlbiBhIHN0YW5kYWxvbmUgbWVudS4gVGhlIG1lbnUgaXMgcG9zaXRpb25lZCB1c2luZyBhIGBGbGV4aWJsZUNvbm5lY3RlZFBvc2l0aW9uU3RyYXRlZ3lgXG4gKiBhbmQgaXMgY2xvc2VkIHdoZW4gdGhlIHVzZXIgY2xpY2tzIG91dHNpZGUgb2YgaXQuXG4gKi9cbkBEaXJlY3RpdmUoe1xuICBzZWxlY3RvcjogJ1tjZGtNZW51VHJpZ2dlckZvcl0nLFxuICBleHBvcnRBczogJ2Nka01lbnVUcmlnZ2VyRm9yJyxcbiAgaG9zdDoge1xuICAgICdjbGFzcyc6ICdjZGstbWVudS10cmlnZ2VyJyxcbiAgICAnYXJpYS1oYXNwb3B1cCc6ICdtZW51JyxcbiAgICAnW2F0dHIuYXJpYS1leHBhbmRlZF0nOiAnaXNNZW51T3BlbigpJyxcbiAgICAnW2F0dHIuYXJpYS1jb250cm9sc10nOiAnX2dldE1lbnVJZCgpJyxcbiAgICAnKGNsaWNrKSc6ICd0b2dnbGUoKScsXG4gICAgJyhrZXlkb3duKSc6ICdfaGFuZGxlS2V5ZG93bigkZXZlbnQpJyxcbiAgfSxcbn0pXG5leHBvcnQgY2xhc3MgQ2RrTWVudVRyaWdnZXIgaW1wbGVtZW50cyBPbkRlc3Ryb3kge1xuICAvKiogVGVtcGxhdGUgcmVmZXJlbmNlIHZhcmlhYmxlIHRvIHRoZSBtZW51IHRoaXMgdHJpZ2dlciBvcGVucy4gKi9cbiAgQElucHV0KCdjZGtNZW51VHJpZ2dlckZvcicpXG4gIGdldCBtZW51UGFuZWwoKTogQ2RrTWVudVBhbmVsIHwgbnVsbCB7IHJldHVybiB0aGlzLl9tZW51UGFuZWw7IH1cbiAgc2V0IG1lbnVQYW5lbChwYW5lbDogQ2RrTWVudVBhbmVsIHwgbnVsbCkge1xuICAgIGlmIChwYW5lbCAhPT0gdGhpcy5fbWVudVBhbmVsKSB7XG4gICAgICB0aGlzLmNsb3NlTWVudSgpO1xuICAgICAgdGhpcy5fbWVudVBhbmVsID0gcGFuZWw7XG4gICAgfVxuICB9XG4gIHByaXZhdGUgX21lbnVQYW5lbDogQ2RrTWVudVBhbmVsIHwgbnVsbCA9IG51bGw7XG5cbiAgLyoqXG4gICAqIFBvc2l0aW9ucyBpbiB3aGljaCB0aGUgbWVudSBjYW4gYmUgcGxhY2VkLCBpbiBvcmRlciBvZiBwcmVmZXJlbmNlLiBEZWZhdWx0cyB0byBiZWxvdyB0aGVcbiAgICogdHJpZ2dlciB3aGVuIGl0IGlzIGluc2lkZSBvZiBhIGhvcml6b250YWwgbWVudSBhbmQgdG8gdGhlIHNpZGUgb2YgdGhlIHRyaWdnZXIgd2hlbiBpdCBpc1xuICAgKiBpbnNpZGUgb2YgYSB2ZXJ0aWNhbCBtZW51LlxuICAgKi9cbiAgQElucHV0KCdjZGtNZW51UG9zaXRpb24nKSBtZW51UG9zaXRpb246IENvbm5lY3RlZFBvc2l0aW9uW10gfCBudWxsID0gbnVsbDtcblxuICAvKiogV2hldGhlciB0aGUgdHJpZ2dlciBpcyBkaXNhYmxlZC4gRGlzYWJsZWQgdHJpZ2dlcnMgZG9uJ3Qgb3BlbiB0aGVpciBtZW51LiAqL1xuICBASW5wdXQoJ2Nka01lbnVUcmlnZ2VyRGlzYWJsZWQnKVxuICBnZXQgZGlzYWJsZWQoKTogYm9vbGVhbiB7IHJldHVybiB0aGlzLl9kaXNhYmxlZDsgfVxuICBzZXQgZGlzYWJsZWQodmFsdWU6IGJvb2xlYW4pIHtcbiAgICB0aGlzLl9kaXNhYmxlZCA9IGNvZXJjZUJvb2xlYW5Qcm9wZXJ0eSh2YWx1ZSk7XG4gIH1cbiAgcHJpdmF0ZSBfZGlzYWJsZWQgPSBmYWxzZTtcblxuICAvKiogRW1pdHMgd2hlbiB0aGUgYXR0YWNoZWQgbWVudSBpcyByZXF1ZXN0ZWQgdG8gb3Blbi4gKi9cbiAgQE91dHB1dCgnY2RrTWVudU9wZW5lZCcpIHJlYWRvbmx5IG9wZW5lZDogRXZlbnRFbWl0dGVyPHZvaWQ+ID0gbmV3IEV2ZW50RW1pdHRlcigpO1xuXG4gIC8qKiBFbWl0cyB3aGVuIHRoZSBhdHRhY2hlZCBtZW51IGlzIHJlcXVlc3RlZCB0byBjbG9zZS4gKi9cbiAgQE91dHB1dCgnY2RrTWVudUNsb3NlZCcpIHJlYWRvbmx5IGNsb3NlZDogRXZlbnRFbWl0dGVyPHZvaWQ+ID0gbmV3IEV2ZW50RW1pdHRlcigpO1xuXG4gIC8qKiBBIHJlZmVyZW5jZSB0byB0aGUgb3ZlcmxheSB3aGljaCBtYW5hZ2VzIHRoZSB0cmlnZ2VyZWQgbWVudS4gKi9cbiAgcHJpdmF0ZSBfb3ZlcmxheVJlZjogT3ZlcmxheVJlZiB8IG51bGwgPSBudWxsO1xuXG4gIC8qKiBUaGUgY29udGVudCBvZiB0aGUgbWVudSBwYW5lbCBvcGVuZWQgYnkgdGhpcyB0cmlnZ2VyLiAqL1xuICBwcml2YXRlIF9wYW5lbENvbnRlbnQ6IFRlbXBsYXRlUG9ydGFsIHwgbnVsbCA9IG51bGw7XG5cbiAgLyoqIFN0YWNrIG9mIG1lbnVzIHVzZWQgd2hlbiB0aGUgdHJpZ2dlciBpc24ndCBwbGFjZWQgaW5zaWRlIG9mIGEgbWVudS4gKi9cbiAgcHJpdmF0ZSBfc3RhbmRhbG9uZU1lbnVTdGFjazogTWVudVN0YWNrIHwgbnVsbCA9IG51bGw7XG5cbiAgLyoqIEVtaXRzIHdoZW4gdGhlIGN1cnJlbnRseSBvcGVuIG1lbnUgaXMgY2xvc2VkLiAqL1xuICBwcml2YXRlIHJlYWRvbmx5IF9tZW51Q2xvc2VkID0gbmV3IFN1YmplY3Q8dm9pZD4oKTtcblxuICAvKiogRW1pdHMgd2hlbiB0aGlzIHRyaWdnZXIgaXMgZGVzdHJveWVkLiAqL1xuICBwcml2YXRlIHJlYWRvbmx5IF9kZXN0cm95ZWQgPSBuZXcgU3ViamVjdDx2b2lkPigpO1xuXG4gIGNvbnN0cnVjdG9yKFxuICAgIHByaXZhdGUgcmVhZG9ubHkgX2VsZW1lbnRSZWY6IEVsZW1lbnRSZWY8SFRNTEVsZW1lbnQ+LFxuICAgIHByaXZhdGUgcmVhZG9ubHkgX3ZpZXdDb250YWluZXJSZWY6IFZpZXdDb250YWluZXJSZWYsXG4gICAgcHJpdmF0ZSByZWFkb25seSBfb3ZlcmxheTogT3ZlcmxheSxcbiAgICBAT3B0aW9uYWwoKSBASW5qZWN0KENES19NRU5VKSBwcml2YXRlIHJlYWRvbmx5IF9wYXJlbnRNZW51PzogTWVudSxcbiAgICBAT3B0aW9uYWwoKSBwcml2YXRlIHJlYWRvbmx5IF9kaXJlY3Rpb25hbGl0eT86IERpcmVjdGlvbmFsaXR5KSB7fVxuXG4gIC8qKiBXaGV0aGVyIHRoZSBhdHRhY2hlZCBtZW51IGlzIG9wZW4uICovXG4gIGlzTWVudU9wZW4oKTogYm9vbGVhbiB7XG4gICAgcmV0dXJuICEhdGhpcy5fb3ZlcmxheVJlZiAmJiB0aGlzLl9vdmVybGF5UmVmLmhhc0F0dGFjaGVkKCk7XG4gIH1cblxuICAvKiogV2hldGhlciB0aGUgdHJpZ2dlciBoYXMgYSBtZW51IHRoYXQgaXQgY2FuIG9wZW4uICovXG4gIGhhc01lbnUoKTogYm9vbGVhbiB7XG4gICAgcmV0dXJuICEhdGhpcy5fbWVudVBhbmVsO1xuICB9XG5cbiAgLyoqIEdldHMgdGhlIG1lbnUgdGhhdCB0aGUgdHJpZ2dlciBvcGVuZWQsIGlmIGl0IGlzIG9wZW4uICovXG4gIGdldE1lbnUoKTogTWVudSB8IHVuZGVmaW5lZCB7XG4gICAgcmV0dXJuIHRoaXMuaXNNZW51T3BlbigpICYmIHRoaXMuX21lbnVQYW5lbCA/IHRoaXMuX21lbnVQYW5lbC5fbWVudSA6IHVuZGVmaW5lZDtcbiAgfVxuXG4gIC8qKiBPcGVucyB0aGUgYXR0YWNoZWQgbWVudSBpZiBpdCBpcyBjbG9zZWQgYW5kIGNsb3NlcyBpdCBpZiBpdCBpcyBvcGVuLiAqL1xuICB0b2dnbGUoKSB7XG4gICAgdGhpcy5pc01lbnVPcGVuKCkgPyB0aGlzLmNsb3NlTWVudSgpIDogdGhpcy5vcGVuTWVudSgpO1xuICB9XG5cbiAgLyoqIE9wZW5zIHRoZSBhdHRhY2hlZCBtZW51LCBjbG9zaW5nIGFueSBvZiB0aGUgc2libGluZyBtZW51cyB0aGF0IGFyZSBvcGVuLiAqL1xuICBvcGVuTWVudSgpIHtcbiAgICBjb25zdCBwYW5lbCA9IHRoaXMuX21lbnVQYW5lbDtcblxuICAgIGlmICh0aGlzLmRpc2FibGVkIHx8ICFwYW5lbCB8fCB0aGlzLmlzTWVudU9wZW4oKSkge1xuICAgICAgcmV0dXJuO1xuICAgIH1cblxuICAgIGNvbnN0IG1lbnVTdGFjayA9IHRoaXMuX2dldE1lbnVTdGFjaygpO1xuXG4gICAgaWYgKHRoaXMuX3BhcmVudE1lbnUpIHtcbiAgICAgIG1lbnVTdGFjay5jbG9zZVN1Yk1lbnVPZih0aGlzLl9wYXJlbnRNZW51KTtcbiAgICB9XG5cbiAgICBpZiAoIXRoaXMuX292ZXJsYXlSZWYpIHtcbiAgICAgIHRoaXMuX292ZXJsYXlSZWYgPSB0aGlzLl9vdmVybGF5LmNyZWF0ZSh0aGlzLl9nZXRPdmVybGF5Q29uZmlnKCkpO1xuICAgIH0gZWxzZSB7XG4gICAgICBjb25zdCBwb3NpdGlvblN0cmF0ZWd5ID1cbiAgICAgICAgICB0aGlzLl9vdmVybGF5UmVmLmdldENvbmZpZygpLnBvc2l0aW9uU3RyYXRlZ3kgYXMgRmxleGlibGVDb25uZWN0ZWRQb3NpdGlvblN0cmF0ZWd5O1xuICAgICAgcG9zaXRpb25TdHJhdGVneS53aXRoUG9zaXRpb25zKHRoaXMuX2dldE92ZXJsYXlQb3NpdGlvbnMoKSk7XG4gICAgfVxuXG4gICAgaWYgKCF0aGlzLl9wYW5lbENvbnRlbnQgfHwgdGhpcy5fcGFuZWxDb250ZW50LnRlbXBsYXRlUmVmICE9PSBwYW5lbC5fdGVtcGxhdGVSZWYpIHtcbiAgICAgIHRoaXMuX3BhbmVsQ29udGVudCA9IG5ldyBUZW1wbGF0ZVBvcnRhbChwYW5lbC5fdGVtcGxhdGVSZWYsIHRoaXMuX3ZpZXdDb250YWluZXJSZWYpO1xuICAgIH1cblxuICAgIC8vIFRoZSBtZW51IGluc2lkZSBvZiB0aGUgcGFuZWwgcHVzaGVzIGl0c2VsZiBvbnRvIHRoZSBzdGFjayB3aGVuIGl0IGlzIGNyZWF0ZWQuXG4gICAgcGFuZWwuX21lbnVTdGFjayA9IG1lbnVTdGFjaztcbiAgICB0aGlzLl9vdmVybGF5UmVmLmF0dGFjaCh0aGlzLl9wYW5lbENvbnRlbnQpO1xuICAgIHRoaXMuX3N1YnNjcmliZVRvTWVudVN0YWNrKG1lbnVTdGFjayk7XG4gICAgdGhpcy5fc3Vic2NyaWJlVG9PdXRzaWRlQ2xpY2tzKG1lbnVTdGFjayk7XG4gICAgdGhpcy5vcGVuZWQubmV4dCgpO1xuICB9XG5cbiAgLyoqIENsb3NlcyB0aGUgYXR0YWNoZWQgbWVudSwgYWxvbmcgd2l0aCBhbnkgb2YgdGhlIHN1Ym1lbnVzIHRoYXQgd2VyZSBvcGVuZWQgZnJvbSBpdC4gKi9cbiAgY2xvc2VNZW51KCkge1xuICAgIGlmICh0aGlzLmlzTWVudU9wZW4oKSkge1xuICAgICAgY29uc3QgbWVudSA9IHRoaXMuZ2V0TWVudSgpO1xuXG4gICAgICAvLyBDbG9zaW5nIHRocm91Z2ggdGhlIHN0YWNrIGVuc3VyZXMgdGhhdCB0aGUgc3VibWVudXMgYXJlIGNsb3NlZCBhcyB3ZWxsLlxuICAgICAgLy8gVGhlIHN0YWNrIHdpbGwgbm90aWZ5IHRoZSB0cmlnZ2VyIG9uY2UgaXQncyBkb25lIHNvIGl0IGNhbiBkZXRhY2ggdGhlIG92ZXJsYXkuXG4gICAgICBpZiAobWVudSkge1xuICAgICAgICB0aGlzLl9nZXRNZW51U3RhY2soKS5jbG9zZShtZW51KTtcbiAgICAgIH1cblxuICAgICAgdGhpcy5fZGV0YWNoT3ZlcmxheSgpO1xuICAgIH1cbiAgfVxuXG4gIG5nT25EZXN0cm95KCkge1xuICAgIHRoaXMuY2xvc2VNZW51KCk7XG5cbiAgICBpZiAodGhpcy5fb3ZlcmxheVJlZikge1xuICAgICAgdGhpcy5fb3ZlcmxheVJlZi5kaXNwb3NlKCk7XG4gICAgICB0aGlzLl9vdmVybGF5UmVmID0gbnVsbDtcbiAgICB9XG5cbiAgICBpZiAodGhpcy5fc3RhbmRhbG9uZU1lbnVTdGFjaykge1xuICAgICAgdGhpcy5fc3RhbmRhbG9uZU1lbnVTdGFjay5kZXN0cm95KCk7XG4gICAgfVxuXG4gICAgdGhpcy5fbWVudUNsb3NlZC5jb21wbGV0ZSgpO1xuICAgIHRoaXMuX2Rlc3Ryb3llZC5uZXh0KCk7XG4gICAgdGhpcy5fZGVzdHJveWVkLmNvbXBsZXRlKCk7XG4gIH1cblxuICAvKiogR2V0cyB0aGUgSUQgb2YgdGhlIG1lbnUgdGhhdCB0aGUgdHJpZ2dlciBvcGVuZWQsIGlmIGl0IGlzIG9wZW4uICovXG4gIF9nZXRNZW51SWQoKTogc3RyaW5nIHwgbnVsbCB7XG4gICAgY29uc3QgbWVudSA9IHRoaXMuZ2V0TWVudSgpO1xuICAgIHJldHVybiBtZW51ID8gbWVudS5pZCA6IG51bGw7XG4gIH1cblxuICAvKiogSGFuZGxlcyBrZXlib2FyZCBldmVudHMgb24gdGhlIHRyaWdnZXIuICovXG4gIF9oYW5kbGVLZXlkb3duKGV2ZW50OiBLZXlib2FyZEV2ZW50KSB7XG4gICAgaWYgKGhhc01vZGlmaWVyS2V5KGV2ZW50KSkge1xuICAgICAgcmV0dXJuO1xuICAgIH1cblxuICAgIGNvbnN0IGtleUNvZGUgPSBldmVudC5rZXlDb2RlO1xuICAgIGNvbnN0IGlzUGFyZW50VmVydGljYWwgPSAhIXRoaXMuX3BhcmVudE1lbnUgJiYgdGhpcy5fcGFyZW50TWVudS5vcmllbnRhdGlvbiA9PT0gJ3ZlcnRpY2FsJztcblxuICAgIHN3aXRjaCAoa2V5Q29kZSkge1xuICAgICAgY2FzZSBTUEFDRTpcbiAgICAgIGNhc2UgRU5URVI6XG4gICAgICAgIGV2ZW50LnByZXZlbnREZWZhdWx0KCk7XG4gICAgICAgIHRoaXMudG9nZ2xlKCk7XG4gICAgICAgIHRoaXMuX2ZvY3VzTWVudSgnZmlyc3QnKTtcbiAgICAgICAgYnJlYWs7XG5cbiAgICAgIGNhc2UgUklHSFRfQVJST1c6XG4gICAgICBjYXNlIExFRlRfQVJST1c6XG4gICAgICAgIC8vIEFycm93cyBwb2ludGluZyBhd2F5IGZyb20gdGhlIHBhcmVudCBtZW51IG9wZW4gdGhlIHN1Ym1lbnUuIFRoZSBhcnJvd3MgcG9pbnRpbmcgYmFja1xuICAgICAgICAvLyB0b3dhcmRzIHRoZSBwYXJlbnQgbWVudSBhcmUgaGFuZGxlZCBieSB0aGUgcGFyZW50J3MgaXRlbXMgc2luY2UgdGhleSBhbHNvIGFwcGx5IHRvXG4gICAgICAgIC8vIGl0ZW1zIHRoYXQgZG9uJ3QgaGF2ZSBhIHN1Ym1lbnUuXG4gICAgICAgIGNvbnN0IGlzUnRsID0gISF0aGlzLl9kaXJlY3Rpb25hbGl0eSAmJiB0aGlzLl9kaXJlY3Rpb25hbGl0eS52YWx1ZSA9PT0gJ3J0bCc7XG5cbiAgICAgICAgaWYgKGlzUGFyZW50VmVydGljYWwgJiYgKGtleUNvZGUgPT09IFJJR0hUX0FSUk9XKSAhPT0gaXNSdGwpIHtcbiAgICAgICAgICBldmVudC5wcmV2ZW50RGVmYXVsdCgpO1xuICAgICAgICAgIHRoaXMub3Blbk1lbnUoKTtcbiAgICAgICAgICB0aGlzLl9mb2N1c01lbnUoJ2ZpcnN0Jyk7XG4gICAgICAgIH1cbiAgICAgICAgYnJlYWs7XG5cbiAgICAgIGNhc2UgVVBfQVJST1c6XG4gICAgICBjYXNlIERPV05fQVJST1c6XG4gICAgICAgIGlmICghaXNQYXJlbnRWZXJ0aWNhbCkge1xuICAgICAgICAgIGV2ZW50LnByZXZlbnREZWZhdWx0KCk7XG4gICAgICAgICAgdGhpcy5vcGVuTWVudSgpO1xuICAgICAgICAgIHRoaXMuX2ZvY3VzTWVudShrZXlDb2RlID09PSBET1dOX0FSUk9XID8gJ2ZpcnN0JyA6ICdsYXN0Jyk7XG4gICAgICAgIH1cbiAgICAgICAgYnJlYWs7XG4gICAgfVxuICB9XG5cbiAgLyoqIE1vdmVzIGZvY3VzIGludG8gdGhlIG9wZW4gbWVudS4gKi9cbiAgcHJpdmF0ZSBfZm9jdXNNZW51KHBvc2l0aW9uOiAnZmlyc3QnIHwgJ2xhc3QnKSB7XG4gICAgY29uc3QgbWVudSA9IHRoaXMuZ2V0TWVudSgpO1xuXG4gICAgaWYgKG1lbnUpIHtcbiAgICAgIHBvc2l0aW9uID09PSAnZmlyc3QnID8gbWVudS5mb2N1c0ZpcnN0SXRlbSgna2V5Ym9hcmQnKSA6IG1lbnUuZm9jdXNMYXN0SXRlbSgna2V5Ym9hcmQnKTtcbiAgICB9XG4gIH1cblxuICAvKiogRGV0YWNoZXMgdGhlIG92ZXJsYXkgY29udGFpbmluZyB0aGUgbWVudSBhbmQgbm90aWZpZXMgYW55IGxpc3RlbmVycy4gKi9cbiAgcHJpdmF0ZSBfZGV0YWNoT3ZlcmxheSgpIHtcbiAgICBpZiAodGhpcy5pc01lbnVPcGVuKCkpIHtcbiAgICAgIHRoaXMuX21lbnVDbG9zZWQubmV4dCgpO1xuICAgICAgdGhpcy5fb3ZlcmxheVJlZiEuZGV0YWNoKCk7XG5cbiAgICAgIGlmICh0aGlzLl9tZW51UGFuZWwpIHtcbiAgICAgICAgdGhpcy5fbWVudVBhbmVsLl9tZW51ID0gdW5kZWZpbmVkO1xuICAgICAgfVxuXG4gICAgICB0aGlzLmNsb3NlZC5uZXh0KCk7XG4gICAgfVxuICB9XG5cbiAgLyoqIEdldHMgdGhlIHN0YWNrIHRoYXQgdGhlIG9wZW5lZCBtZW51IHNob3VsZCBiZSBwdXNoZWQgb250by4gKi9cbiAgcHJpdmF0ZSBfZ2V0TWVudVN0YWNrKCk6IE1lbnVTdGFjayB7XG4gICAgaWYgKHRoaXMuX3BhcmVudE1lbnUgJiYgdGhpcy5fcGFyZW50TWVudS5fbWVudVN0YWNrKSB7XG4gICAgICByZXR1cm4gdGhpcy5fcGFyZW50TWVudS5fbWVudVN0YWNrO1xuICAgIH1cblxuICAgIGlmICghdGhpcy5fc3RhbmRhbG9uZU1lbnVTdGFjaykge1xuICAgICAgdGhpcy5fc3RhbmRhbG9uZU1lbnVTdGFjayA9IG5ldyBNZW51U3RhY2soKTtcbiAgICB9XG5cbiAgICByZXR1cm4gdGhpcy5fc3RhbmRhbG9uZU1lbnVTdGFjaztcbiAgfVxuXG4gIC8qKiBEZXRhY2hlcyB0aGUgbWVudSBvbmNlIGl0IGhhcyBiZWVuIGNsb3NlZCB0aHJvdWdoIHRoZSBtZW51IHN0YWNrLiAqL1xuICBwcml2YXRlIF9zdWJzY3JpYmVUb01lbnVTdGFjayhtZW51U3RhY2s6IE1lbnVTdGFjaykge1xuICAgIG1lbnVTdGFjay5jbG9zZWQucGlwZShcbiAgICAgIGZpbHRlcihldmVudCA9PiAhIXRoaXMuX21lbnVQYW5lbCAmJiBldmVudC5pdGVtID09PSB0aGlzLl9tZW51UGFuZWwuX21lbnUpLFxuICAgICAgdGFrZVVudGlsKG1lcmdlKHRoaXMuX21lbnVDbG9zZWQsIHRoaXMuX2Rlc3Ryb3llZCkpXG4gICAgKS5zdWJzY3JpYmUoZXZlbnQgPT4ge1xuICAgICAgdGhpcy5fZGV0YWNoT3ZlcmxheSgpO1xuXG4gICAgICBpZiAoZXZlbnQuZm9jdXNQYXJlbnRUcmlnZ2VyKSB7XG4gICAgICAgIHRoaXMuX2VsZW1lbnRSZWYubmF0aXZlRWxlbWVudC5mb2N1cygpO1xuICAgICAgfVxuICAgIH0pO1xuICB9XG5cbiAgLyoqIENsb3NlcyBhbGwgb2YgdGhlIG9wZW4gbWVudXMgd2hlbiB0aGUgdXNlciBjbGlja3Mgb3V0c2lkZSBvZiB0aGVtLiAqL1xuICBwcml2YXRlIF9zdWJzY3JpYmVUb091dHNpZGVDbGlja3MobWVudVN0YWNrOiBNZW51U3RhY2spIHtcbiAgICB0aGlzLl9vdmVybGF5UmVmIS5vdXRzaWRlUG9pbnRlckV2ZW50cygpLnBpcGUoXG4gICAgICB0YWtlVW50aWwobWVyZ2UodGhpcy5fbWVudUNsb3NlZCwgdGhpcy5fZGVzdHJveWVkKSlcbiAgICApLnN1YnNjcmliZShldmVudCA9PiB7XG4gICAgICBpZiAoIWlzQ2xpY2tJbnNpZGVNZW51T3ZlcmxheShldmVudC50YXJnZXQgYXMgRWxlbWVudCB8IG51bGwpKSB7XG4gICAgICAgIG1lbnVTdGFjay5jbG9zZUFsbCgpO1xuICAgICAgfVxuICAgIH0pO1xuICB9XG5cbiAgLyoqIEdldHMgdGhlIHBvc2l0aW9ucyBpbiB3aGljaCB0aGUgbWVudSBjYW4gYmUgcGxhY2VkLiAqL1xuICBwcml2YXRlIF9nZXRPdmVybGF5UG9zaXRpb25zKCk6IENvbm5lY3RlZFBvc2l0aW9uW10ge1xuICAgIGlmICh0aGlzLm1lbnVQb3NpdGlvbikge1xuICAgICAgcmV0dXJuIHRoaXMubWVudVBvc2l0aW9uO1xuICAgIH1cblxuICAgIHJldHVybiB0aGlzLl9wYXJlbnRNZW51ICYmIHRoaXMuX3BhcmVudE1lbnUub3JpZW50YXRpb24gPT09ICd2ZXJ0aWNhbCcgP1xuICAgICAgICBTVUJNRU5VX1BPU0lUSU9OUyA6IERST1BET1dOX1BPU0lUSU9OUztcbiAgfVxuXG4gIC8qKiBHZXRzIHRoZSBjb25maWd1cmF0aW9uIGZvciB0aGUgb3ZlcmxheSB0aGF0IHRoZSBtZW51IGlzIHJlbmRlcmVkIGluLiAqL1xuICBwcml2YXRlIF9nZXRPdmVybGF5Q29uZmlnKCk6IE92ZXJsYXlDb25maWcge1xuICAgIHJldHVybiBuZXcgT3ZlcmxheUNvbmZpZyh7XG4gICAgICBwb3NpdGlvblN0cmF0ZWd5OiB0aGlzLl9vdmVybGF5LnBvc2l0aW9uKClcbiAgICAgICAgLmZsZXhpYmxlQ29ubmVjdGVkVG8odGhpcy5fZWxlbWVudFJlZilcbiAgICAgICAgLndpdGhMb2NrZWRQb3NpdGlvbigpXG4gICAgICAgIC53aXRoR3Jvd0FmdGVyT3BlbigpXG4gICAgICAgIC53aXRoUG9zaXRpb25zKHRoaXMuX2dldE92ZXJsYXlQb3NpdGlvbnMoKSksXG4gICAgICBzY3JvbGxTdHJhdGVneTogdGhpcy5fb3ZlcmxheS5zY3JvbGxTdHJhdGVnaWVzLnJlcG9zaXRpb24oKSxcbiAgICAgIGRpcmVjdGlvbjogdGhpcy5fZGlyZWN0aW9uYWxpdHksXG4gICAgfSk7XG4gIH1cblxuICBzdGF0aWMgbmdBY2NlcHRJbnB1dFR5cGVfZGlzYWJsZWQ6IEJvb2xlYW5JbnB1dDtcbn1cblxuLyoqXG4gKiBXaGV0aGVyIHRoZSB0YXJnZXQgZWxlbWVudCBpcyBpbnNpZGUgb2YgYSBtZW51IHdoaWNoIGlzIHJlbmRlcmVkIGluIGFuIG92ZXJsYXksIG9yIGlzIHRoZVxuICogdHJpZ2dlciBvZiBhbiBvcGVuIG1lbnUuIENsaWNrcyBvbiBzdWNoIGVsZW1lbnRzIGFyZSBoYW5kbGVkIGJ5IHRoZSBtZW51cyB0aGVtc2VsdmVzLlxuICovXG5mdW5jdGlvbiBpc0NsaWNrSW5zaWRlTWVudU92ZXJsYXkodGFyZ2V0OiBFbGVtZW50IHwgbnVsbCk6IGJvb2xlYW4ge1xuICB3aGlsZSAodGFyZ2V0KSB7XG4gICAgY29uc3QgY2xhc3NMaXN0ID0gdGFyZ2V0LmNsYXNzTGlzdDtcbiAgICBjb25zdCBpc09wZW5UcmlnZ2VyID0gISFjbGFzc0xpc3QgJiYgY2xhc3NMaXN0LmNvbnRhaW5zKCdjZGstbWVudS10cmlnZ2VyJykgJiZcbiAgICAgICAgICAgICAgICAgICAgICAgICAgdGFyZ2V0LmdldEF0dHJpYnV0ZSgnYXJpYS1leHBhbmRlZCcpID09PSAndHJ1ZSc7XG4gICAgY29uc3QgaXNPdmVybGF5TWVudSA9ICEhY2xhc3NMaXN0ICYmIGNsYXNzTGlzdC5jb250YWlucygnY2RrLW1lbnUnKSAmJlxuICAgICAgICAgICAgICAgICAgICAgICAgICAhY2xhc3NMaXN0LmNvbnRhaW5zKCdjZGstbWVudS1pbmxpbmUnKTtcblxuICAgIGlmIChpc09wZW5UcmlnZ2VyIHx8IGlzT3ZlcmxheU1lbnUpIHtcbiAgICAgIHJldHVybiB0cnVlO1xuICAgIH1cblxuICAgIHRhcmdldCA9IHRhcmdldC5wYXJlbnRFbGVtZW50O1xuICB9XG5cbiAgcmV0dXJuIGZhbHNlO1xufVxuIl19
\ No newline at end of file
@@ -0,0 +1,95 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { Directionality } from '@angular/cdk/bidi';
+import { UniqueSelectionDispatcher } from '@angular/cdk/collections';
+import { Directive, ElementRef, EventEmitter, Inject, Input, NgZone, Optional, Output, Self, } from '@angular/core';
+import { filter, takeUntil } from 'rxjs/operators';
+import { MENU_AIM } from './menu-aim';
+import { CdkMenuBase } from './menu-base';
+import { CDK_MENU } from './menu-interface';
+import { CdkMenuPanel } from './menu-panel';
+import { MenuStack } from './menu-stack';
+/**
+ * Directive which configures the element as a Menu which should contain child elements marked as
+ * CdkMenuItem or CdkMenuGroup. Sets the appropriate role and aria-attributes for a menu and
+ * contains accessible keyboard and mouse handling logic.
+ *
+ * It also acts as a RadioGroup for elements marked with role `menuitemradio`.
+ */
+export class CdkMenu extends CdkMenuBase {
+    constructor(elementRef, ngZone, _injectedPanel, menuAim, dir) {
+        super(elementRef, ngZone, menuAim, dir);
+        this._injectedPanel = _injectedPanel;
+        /** Orientation of the menu's items. */
+        this.orientation = 'vertical';
+        /**
+         * Panel that the menu is rendered in. Only has to be set if the panel
+         * can't be injected, e.g. when the app is using View Engine.
+         */
+        this.menuPanel = null;
+        /** Emits when the menu is closed through a keyboard, pointer or programmatic interaction. */
+        this.closed = new EventEmitter();
+        // Register as early as possible so the trigger can move focus into the menu right after
+        // it was opened.
+        if (_injectedPanel) {
+            _injectedPanel._registerMenu(this);
+        }
+    }
+    ngOnInit() {
+        if (!this._injectedPanel && this.menuPanel) {
+            this.menuPanel._registerMenu(this);
+        }
+        if (this._isInline()) {
+            this._menuStack = new MenuStack(this);
+        }
+        else if (this._menuStack) {
+            this._menuStack.closed
+                .pipe(filter(event => event.item === this), takeUntil(this._destroyed))
+                .subscribe(() => this.closed.next());
+        }
+    }
+    /**
+     * Whether the menu is always rendered in the page, as opposed to inside of an overlay.
+     * @docs-private
+     */
+    _isInline() {
+        return !this._injectedPanel && !this.menuPanel;
+    }
+}
+CdkMenu.decorators = [
+    { type: Directive, args: [{
+                selector: '[cdkMenu]',
+                exportAs: 'cdkMenu',
+                host: {
+                    'role': 'menu',
+                    'class': 'cdk-menu',
+                    '[class.cdk-menu-inline]': '_isInline()',
+                    '[id]': 'id',
+                    '[attr.aria-orientation]': 'orientation',
+                    '(keydown)': '_handleKeyEvent($event)',
+                    '(focusin)': '_handleFocusIn($event)',
+                },
+                providers: [
+                    { provide: CDK_MENU, useExisting: CdkMenu },
+                    { provide: UniqueSelectionDispatcher, useClass: UniqueSelectionDispatcher },
+                ],
+            },] }
+];
+CdkMenu.ctorParameters = () => [
+    { type: ElementRef },
+    { type: NgZone },
+    { type: CdkMenuPanel, decorators: [{ type: Optional }] },
+    { type: undefined, decorators: [{ type: Self }, { type: Optional }, { type: Inject, args: [MENU_AIM,] }] },
+    { type: Directionality, decorators: [{ type: Optional }] }
+];
+CdkMenu.propDecorators = {
+    orientation: [{ type: Input, args: ['cdkMenuOrientation',] }],
+    menuPanel: [{ type: Input, args: ['cdkMenuPanel',] }],
+    closed: [{ type: Output, args: ['cdkMenuClosed',] }]
+};
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoibWVudS5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbIi4uLy4uLy4uLy4uLy4uLy4uL3NyYy9jZGsvbWVudS9tZW51LnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBOzs7Ozs7R0FNRztBQUVILE9BQU8sRUFBQyxjQUFjLEVBQUMsTUFBTSxtQkFBbUIsQ0FBQztBQUNqRCxPQUFPLEVBQUMseUJBQXlCLEVBQUMsTUFBTSwwQkFBMEIsQ0FBQztBQUNuRSxPQUFPLEVBQ0wsU0FBUyxFQUNULFVBQVUsRUFDVixZQUFZLEVBQ1osTUFBTSxFQUNOLEtBQUssRUFDTCxNQUFNLEVBRU4sUUFBUSxFQUNSLE1BQU0sRUFDTixJQUFJLEdBQ0wsTUFBTSxlQUFlLENBQUM7QUFDdkIsT0FBTyxFQUFDLE1BQU0sRUFBRSxTQUFTLEVBQUMsTUFBTSxnQkFBZ0IsQ0FBQztBQUNqRCxPQUFPLEVBQUMsUUFBUSxFQUFVLE1BQU0sWUFBWSxDQUFDO0FBQzdDLE9BQU8sRUFBQyxXQUFXLEVBQUMsTUFBTSxhQUFhLENBQUM7QUFDeEMsT0FBTyxFQUFDLFFBQVEsRUFBQyxNQUFNLGtCQUFrQixDQUFDO0FBQzFDLE9BQU8sRUFBQyxZQUFZLEVBQUMsTUFBTSxjQUFjLENBQUM7QUFDMUMsT0FBTyxFQUFDLFNBQVMsRUFBQyxNQUFNLGNBQWMsQ0FBQztBQUV2Qzs7Ozs7O0dBTUc7QUFrQkgsTUFBTSxPQUFPLE9BQVEsU0FBUSxXQUFXO0lBYXRDLFlBQ0UsVUFBbUMsRUFDbkMsTUFBYyxFQUNlLGNBQTZCLEVBQ3BCLE9BQWlCLEVBQzNDLEdBQW9CO1FBQ2hDLEtBQUssQ0FBQyxVQUFVLEVBQUUsTUFBTSxFQUFFLE9BQU8sRUFBRSxHQUFHLENBQUMsQ0FBQztRQUhYLG1CQUFjLEdBQWQsY0FBYyxDQUFlO1FBZjVELHVDQUF1QztRQUNWLGdCQUFXLEdBQThCLFVBQVUsQ0FBQztRQUVqRjs7O1dBR0c7UUFDb0IsY0FBUyxHQUF3QixJQUFJLENBQUM7UUFFN0QsNkZBQTZGO1FBQzNELFdBQU0sR0FBdUIsSUFBSSxZQUFZLEVBQUUsQ0FBQztRQVVoRix3RkFBd0Y7UUFDeEYsaUJBQWlCO1FBQ2pCLElBQUksY0FBYyxFQUFFO1lBQ2xCLGNBQWMsQ0FBQyxhQUFhLENBQUMsSUFBSSxDQUFDLENBQUM7U0FDcEM7SUFDSCxDQUFDO0lBRUQsUUFBUTtRQUNOLElBQUksQ0FBQyxJQUFJLENBQUMsY0FBYyxJQUFJLElBQUksQ0FBQyxTQUFTLEVBQUU7WUFDMUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxhQUFhLENBQUMsSUFBSSxDQUFDLENBQUM7U0FDcEM7UUFFRCxJQUFJLElBQUksQ0FBQyxTQUFTLEVBQUUsRUFBRTtZQUNwQixJQUFJLENBQUMsVUFBVSxHQUFHLElBQUksU0FBUyxDQUFDLElBQUksQ0FBQyxDQUFDO1NBQ3ZDO2FBQU0sSUFBSSxJQUFJLENBQUMsVUFBVSxFQUFFO1lBQzFCLElBQUksQ0FBQyxVQUFVLENBQUMsTUFBTTtpQkFDbkIsSUFBSSxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLEtBQUssQ0FBQyxJQUFJLEtBQUssSUFBSSxDQUFDLEVBQUUsU0FBUyxDQUFDLElBQUksQ0FBQyxVQUFVLENBQUMsQ0FBQztpQkFDdEUsU0FBUyxDQUFDLEdBQUcsRUFBRSxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQztTQUN4QztJQUNILENBQUM7SUFFRDs7O09BR0c7SUFDSCxTQUFTO1FBQ1AsT0FBTyxDQUFDLElBQUksQ0FBQyxjQUFjLElBQUksQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDO0lBQ2pELENBQUM7OztZQWpFRixTQUFTLFNBQUM7Z0JBQ1QsUUFBUSxFQUFFLFdBQVc7Z0JBQ3JCLFFBQVEsRUFBRSxTQUFTO2dCQUNuQixJQUFJLEVBQUU7b0JBQ0osTUFBTSxFQUFFLE1BQU07b0JBQ2QsT0FBTyxFQUFFLFVBQVU7b0JBQ25CLHlCQUF5QixFQUFFLGFBQWE7b0JBQ3hDLE1BQU0sRUFBRSxJQUFJO29CQUNaLHlCQUF5QixFQUFFLGFBQWE7b0JBQ3hDLFdBQVcsRUFBRSx5QkFBeUI7b0JBQ3RDLFdBQVcsRUFBRSx3QkFBd0I7aUJBQ3RDO2dCQUNELFNBQVMsRUFBRTtvQkFDVCxFQUFDLE9BQU8sRUFBRSxRQUFRLEVBQUUsV0FBVyxFQUFFLE9BQU8sRUFBQztvQkFDekMsRUFBQyxPQUFPLEVBQUUseUJBQXlCLEVBQUUsUUFBUSxFQUFFLHlCQUF5QixFQUFDO2lCQUMxRTthQUNGOzs7WUF4Q0MsVUFBVTtZQUlWLE1BQU07WUFVQSxZQUFZLHVCQTJDZixRQUFROzRDQUNSLElBQUksWUFBSSxRQUFRLFlBQUksTUFBTSxTQUFDLFFBQVE7WUE5RGhDLGNBQWMsdUJBK0RqQixRQUFROzs7MEJBaEJWLEtBQUssU0FBQyxvQkFBb0I7d0JBTTFCLEtBQUssU0FBQyxjQUFjO3FCQUdwQixNQUFNLFNBQUMsZUFBZSIsInNvdXJjZXNDb250ZW50IjpbIi8qKlxuICogQGxpY2Vuc2VcbiAqIENvcHlyaWdodCBHb29nbGUgTExDIEFsbCBSaWdodHMgUmVzZXJ2ZWQuXG4gKlxuICogVXNlIG9mIHRoaXMgc291cmNlIGNvZGUgaXMgZ292ZXJuZWQgYnkgYW4gTUlULXN0eWxlIGxpY2Vuc2UgdGhhdCBjYW4gYmVcbiAqIGZvdW5kIGluIHRoZSBMSUNFTlNFIGZpbGUgYXQgaHR0cHM6Ly9hbmd1bGFyLmlvL2xpY2Vuc2VcbiAqL1xuXG5pbXBvcnQge0RpcmVjdGlvbmFsaXR5fSBmcm9tICdAYW5ndWxhci9jZGsvYmlkaSc7XG5pbXBvcnQge1VuaXF1ZVNlbGVjdGlvbkRpc3BhdGNoZXJ9IGZyb20gJ0Bhbmd1bGFyL2Nkay9jb2xsZWN0aW9ucyc7XG5pbXBvcnQge1xuICBEaXJlY3RpdmUsXG4gIEVsZW1lbnRSZWYsXG4gIEV2ZW50RW1pdHRlcixcbiAgSW5qZWN0LFxuICBJbnB1dCxcbiAgTmdab25lLFxuICBPbkluaXQsXG4gIE9wdGlvbmFsLFxuICBPdXRwdXQsXG4gIFNlbGYsXG59IGZyb20gJ0Bhbmd1bGFyL2NvcmUnO1xuaW1wb3J0IHtmaWx0ZXIsIHRha2VVbnRpbH0gZnJvbSAncnhqcy9vcGVyYXRvcnMnO1xuaW1wb3J0IHtNRU5VX0FJTSwgTWVudUFpbX0gZnJvbSAnLi9tZW51LWFpbSc7XG5pbXBvcnQge0Nka01lbnVCYXNlfSBmcm9tICcuL21lbnUtYmFzZSc7XG5pbXBvcnQge0NES19NRU5VfSBmcm9tICcuL21lbnUtaW50ZXJmYWNlJztcbmltcG9ydCB7Q2RrTWVudVBhbmVsfSBmcm9tICcuL21lbnUtcGFuZWwnO1xuaW1wb3J0IHtNZW51U3RhY2t9IGZyb20gJy4vbWVudS1zdGFjayc7XG5cbi8qKlxuICogRGlyZWN0aXZlIHdoaWNoIGNvbmZpZ3VyZXMgdGhlIGVsZW1lbnQgYXMgYSBNZW51IHdoaWNoIHNob3VsZCBjb250YWluIGNoaWxkIGVsZW1lbnRzIG1hcmtlZCBhc1xuICogQ2RrTWVudUl0ZW0gb3IgQ2RrTWVudUdyb3VwLiBTZXRzIHRoZSBhcHByb3ByaWF0ZSByb2xlIGFuZCBhcmlhLWF0dHJpYnV0ZXMgZm9yIGEgbWVudSBhbmRcbiAqIGNvbnRhaW5zIGFjY2Vzc2libGUga2V5Ym9hcmQgYW5kIG1vdXNlIGhhbmRsaW5nIGxvZ2ljLlxuICpcbiAqIEl0IGFsc28gYWN0cyBhcyBhIFJhZGlvR3JvdXAgZm9yIGVsZW1lbnRzIG1hcmtlZCB3aXRoIHJvbGUgYG1lbnVpdGVtcmFkaW9gLlxuICovXG5ARGlyZWN0aXZlKHtcbiAgc2VsZWN0b3I6ICdbY2RrTWVudV0nLFxuICBleHBvcnRBczogJ2Nka01lbnUnLFxuICBob3N0OiB7XG4gICAgJ3JvbGUnOiAnbWVudScsXG4gICAgJ2NsYXNzJzogJ2Nkay1tZW51JyxcbiAgICAnW2NsYXNzLmNkay1tZW51LWlubGluZV0nOiAnX2lzSW5saW5lKCknLFxuICAgICdbaWRdJzogJ2lkJyxcbiAgICAnW2F0dHIuYXJpYS1vcmllbnRhdGlvbl0nOiAnb3JpZW50YXRpb24nLFxuICAgICcoa2V5ZG93biknOiAnX2hhbmRsZUtleUV2ZW50KCRldmVudCknLFxuICAgICcoZm9jdXNpbiknOiAnX2hhbmRsZUZvY3VzSW4oJGV2ZW50KScsXG4gIH0sXG4gIHByb3ZpZGVyczogW1xuICAgIHtwcm92aWRlOiBDREtfTUVOVSwgdXNlRXhpc3Rpbmc6IENka01lbnV9LFxuICAgIHtwcm92aWRlOiBVbmlxdWVTZWxlY3Rpb25EaXNwYXRjaGVyLCB1c2VDbGFzczogVW5pcXVlU2VsZWN0aW9uRGlzcGF0Y2hlcn0sXG4gIF0sXG59KVxuZXhwb3J0IGNsYXNzIENka01lbnUgZXh0ZW5kcyBDZGtNZW51QmFzZSBpbXBsZW1lbnRzIE9uSW5pdCB7XG4gIC8qKiBPcmllbnRhdGlvbiBvZiB0aGUgbWVudSdzIGl0ZW1zLiAqL1xuICBASW5wdXQoJ2Nka01lbnVPcmllbnRhdGlvbicpIG9yaWVudGF0aW9uOiAnaG9yaXpvbnRhbCcgfCAndmVydGljYWwnID0gJ3ZlcnRpY2FsJztcblxuICAvKipcbiAgICogUGFuZWwgdGhhdCB0aGUgbWVudSBpcyByZW5kZXJlZCBpbi4gT25seSBoYXMgdG8gYmUgc2V0IGlmIHRoZSBwYW5lbFxuICAgKiBjYW4ndCBiZSBpbmplY3RlZCwgZS5nLiB3aGVuIHRoZSBhcHAgaXMgdXNpbmcgVmlldyBFbmdpbmUuXG4gICAqL1xuICBASW5wdXQoJ2Nka01lbnVQYW5lbCcpIG1lbnVQYW5lbDogQ2RrTWVudVBhbmVsIHwgbnVsbCA9IG51bGw7XG5cbiAgLyoqIEVtaXRzIHdoZW4gdGhlIG1lbnUgaXMgY2xvc2VkIHRocm91Z2ggYSBrZXlib2FyZCwgcG9pbnRlciBvciBwcm9ncmFtbWF0aWMgaW50ZXJhY3Rpb24uICovXG4gIEBPdXRwdXQoJ2Nka01lbnVDbG9zZWQnKSByZWFkb25seSBjbG9zZWQ6IEV2ZW50RW1pdHRlcjx2b2lkPiA9IG5ldyBFdmVudEVtaXR0ZXIoKTtcblxuICBjb25zdHJ1Y3RvcihcbiAgICBlbGVtZW50UmVmOiBFbGVtZW50UmVmPEhUTUxFbGVtZW50PixcbiAgICBuZ1pvbmU6IE5nWm9uZSxcbiAgICBAT3B0aW9uYWwoKSBwcml2YXRlIHJlYWRvbmx5IF9pbmplY3RlZFBhbmVsPzogQ2RrTWVudVBhbmVsLFxuICAgIEBTZWxmKCkgQE9wdGlvbmFsKCkgQEluamVjdChNRU5VX0FJTSkgbWVudUFpbT86IE1lbnVBaW0sXG4gICAgQE9wdGlvbmFsKCkgZGlyPzogRGlyZWN0aW9uYWxpdHkpIHtcbiAgICBzdXBlcihlbGVtZW50UmVmLCBuZ1pvbmUsIG1lbnVBaW0sIGRpcik7XG5cbiAgICAvLyBSZWdpc3RlciBhcyBlYXJseSBhcyBwb3NzaWJsZSBzbyB0aGUgdHJpZ2dlciBjYW4gbW92ZSBmb2N1cyBpbnRvIHRoZSBtZW51IHJpZ2h0IGFmdGVyXG4gICAgLy8gaXQgd2FzIG9wZW5lZC5cbiAgICBpZiAoX2luamVjdGVkUGFuZWwpIHtcbiAgICAgIF9pbmplY3RlZFBhbmVsLl9yZWdpc3Rlck1lbnUodGhpcyk7XG4gICAgfVxuICB9XG5cbiAgbmdPbkluaXQoKSB7XG4gICAgaWYgKCF0aGlzLl9pbmplY3RlZFBhbmVsICYmIHRoaXMubWVudVBhbmVsKSB7XG4gICAgICB0aGlzLm1lbnVQYW5lbC5fcmVnaXN0ZXJNZW51KHRoaXMpO1xuICAgIH1cblxuICAgIGlmICh0aGlzLl9pc0lubGluZSgpKSB7XG4gICAgICB0aGlzLl9tZW51U3RhY2sgPSBuZXcgTWVudVN0YWNrKHRoaXMpO1xuICAgIH0gZWxzZSBpZiAodGhpcy5fbWVudVN0YWNrKSB7XG4gICAgICB0aGlzLl9tZW51U3RhY2suY2xvc2VkXG4gICAgICAgIC5waXBlKGZpbHRlcihldmVudCA9PiBldmVudC5pdGVtID09PSB0aGlzKSwgdGFrZVVudGlsKHRoaXMuX2Rlc3Ryb3llZCkpXG4gICAgICAgIC5zdWJzY3JpYmUoKCkgPT4gdGhpcy5jbG9zZWQubmV4dCgpKTtcbiAgICB9XG4gIH1cblxuICAvKipcbiAgICogV2hldGhlciB0aGUgbWVudSBpcyBhbHdheXMgcmVuZGVyZWQgaW4gdGhlIHBhZ2UsIGFzIG9wcG9zZWQgdG8gaW5zaWRlIG9mIGFuIG92ZXJsYXkuXG4gICAqIEBkb2NzLXByaXZhdGVcbiAgICovXG4gIF9pc0lubGluZSgpOiBib29sZWFuIHtcbiAgICByZXR1cm4gIXRoaXMuX2luamVjdGVkUGFuZWwgJiYgIXRoaXMubWVudVBhbmVsO1xuICB9XG59XG4iXX0=
\ No newline at end of file
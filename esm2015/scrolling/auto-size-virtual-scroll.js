@@ -0,0 +1,350 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { coerceNumberProperty } from '@angular/cdk/coercion';
+import { Directive, forwardRef, Input } from '@angular/core';
+import { Subject } from 'rxjs';
+import { distinctUntilChanged } from 'rxjs/operators';
+import { VIRTUAL_SCROLL_STRATEGY } from './virtual-scroll-strategy';
+/**
+ * Virtual scrolling strategy for lists with items of unknown or variable size. Items that haven't
+ * been rendered yet are estimated, while rendered items are measured. The measured sizes follow
+ * the items around when the data changes, based on their identity (as determined by the `trackBy`
+ * function of the repeater).
+ */
+export class AutoSizeVirtualScrollStrategy {
+    /**
+     * @param itemSizeEstimate The size to assume for items that haven't been measured yet, if no
+     *     items have been measured.
+     * @param minBufferPx The minimum amount of buffer (in pixels) before needing to render more
+     * @param maxBufferPx The amount of buffer (in pixels) to render when rendering more.
+     */
+    constructor(itemSizeEstimate, minBufferPx, maxBufferPx) {
+        this._scrolledIndexChange = new Subject();
+        /** @docs-private Implemented as part of VirtualScrollStrategy. */
+        this.scrolledIndexChange = this._scrolledIndexChange.pipe(distinctUntilChanged());
+        /** The attached viewport. */
+        this._viewport = null;
+        /** Identities of the items in the data, as of the last time the data changed. */
+        this._itemKeys = [];
+        /** Measured size of each item in the data, or `undefined` if the item hasn't been measured. */
+        this._itemSizes = [];
+        /**
+         * Combined size of the measured items before each index. Contains one entry more than the
+         * number of items, the last of which is the combined size of all of the measured items.
+         */
+        this._measuredSizeSums = [0];
+        /** Number of measured items before each index. Has the same layout as `_measuredSizeSums`. */
+        this._measuredCounts = [0];
+        this._itemSizeEstimate = itemSizeEstimate;
+        this._minBufferPx = minBufferPx;
+        this._maxBufferPx = maxBufferPx;
+    }
+    /**
+     * Attaches this scroll strategy to a viewport.
+     * @param viewport The viewport to attach this strategy to.
+     */
+    attach(viewport) {
+        this._viewport = viewport;
+        this._syncItemKeys();
+        this._updateTotalContentSize();
+        this._updateRenderedRange();
+    }
+    /** Detaches this scroll strategy from the currently attached viewport. */
+    detach() {
+        this._scrolledIndexChange.complete();
+        this._viewport = null;
+    }
+    /**
+     * Update the item size estimate and buffer size.
+     * @param itemSizeEstimate The size to assume for items that haven't been measured yet, if no
+     *     items have been measured.
+     * @param minBufferPx The minimum amount of buffer (in pixels) before needing to render more
+     * @param maxBufferPx The amount of buffer (in pixels) to render when rendering more.
+     */
+    updateItemSizeEstimateAndBufferSize(itemSizeEstimate, minBufferPx, maxBufferPx) {
+        if (maxBufferPx < minBufferPx && (typeof ngDevMode === 'undefined' || ngDevMode)) {
+            throw Error('CDK virtual scroll: maxBufferPx must be greater than or equal to minBufferPx');
+        }
+        this._itemSizeEstimate = itemSizeEstimate;
+        this._minBufferPx = minBufferPx;
+        this._maxBufferPx = maxBufferPx;
+        this._updateTotalContentSize();
+        this._updateRenderedRange();
+    }
+    /**
+     * Clears all of the cached item measurements. Useful when something has changed that affects
+     * the size of all items (e.g. the width of the viewport). Rendered items will be re-measured
+     * the next time the content is rendered.
+     */
+    resetMeasurements() {
+        this._itemSizes = this._itemKeys.map(() => undefined);
+        this._updateMeasuredSums(0);
+        this._updateTotalContentSize();
+        this._updateRenderedRange();
+    }
+    /** @docs-private Implemented as part of VirtualScrollStrategy. */
+    onContentScrolled() {
+        this._updateRenderedRange();
+    }
+    /** @docs-private Implemented as part of VirtualScrollStrategy. */
+    onDataLengthChanged() {
+        // The keys are usually synced through `onDataChanged` already,
+        // but the viewport can also call this method on its own.
+        if (this._viewport && this._viewport.getDataLength() !== this._itemKeys.length) {
+            this._syncItemKeys();
+        }
+        this._updateTotalContentSize();
+        this._updateRenderedRange();
+    }
+    /** @docs-private Implemented as part of VirtualScrollStrategy. */
+    onDataChanged() {
+        this._syncItemKeys();
+        this._updateTotalContentSize();
+        this._updateRenderedRange();
+    }
+    /** @docs-private Implemented as part of VirtualScrollStrategy. */
+    onContentRendered() {
+        const viewport = this._viewport;
+        if (!viewport) {
+            return;
+        }
+        const firstChangedIndex = this._measureRenderedItems();
+        if (firstChangedIndex === -1) {
+            return;
+        }
+        // Some of the measurements changed so the item offsets need to be recalculated. Capture the
+        // item that is currently at the top of the viewport, as well as how far into it the user has
+        // scrolled, so that we can keep it in the same place once the offsets have shifted. Note that
+        // the offsets are still based on the previous measurements at this point.
+        const scrollOffset = viewport.measureScrollOffset();
+        const anchorIndex = this._getIndexAtOffset(scrollOffset);
+        const anchorDelta = scrollOffset - this._getOffset(anchorIndex);
+        this._updateMeasuredSums(firstChangedIndex);
+        this._updateTotalContentSize();
+        viewport.setRenderedContentOffset(this._getOffset(viewport.getRenderedRange().start));
+        const newScrollOffset = this._getOffset(anchorIndex) + anchorDelta;
+        if (newScrollOffset !== scrollOffset) {
+            viewport.scrollToOffset(newScrollOffset);
+        }
+        // Now that we know the real size of the rendered items, we may have to render more of them.
+        this._updateRenderedRange();
+    }
+    /** @docs-private Implemented as part of VirtualScrollStrategy. */
+    onRenderedOffsetChanged() { }
+    /**
+     * Scroll to the offset for the given index.
+     * @param index The index of the element to scroll to.
+     * @param behavior The ScrollBehavior to use when scrolling.
+     */
+    scrollToIndex(index, behavior) {
+        if (this._viewport) {
+            this._viewport.scrollToOffset(this._getOffset(index), behavior);
+        }
+    }
+    /** Gets the size that should be assumed for an item that hasn't been measured. */
+    _getEstimatedItemSize() {
+        const lastIndex = this._measuredCounts.length - 1;
+        const measuredCount = this._measuredCounts[lastIndex];
+        return measuredCount ?
+            this._measuredSizeSums[lastIndex] / measuredCount : this._itemSizeEstimate;
+    }
+    /** Gets the offset from the start of the content to the start of the item at an index. */
+    _getOffset(index) {
+        index = Math.max(0, Math.min(index, this._measuredCounts.length - 1));
+        // The offset is made up of the sizes of the measured items before the index, plus the
+        // estimated sizes of the rest. Computing it on demand means that we don't have to
+        // recalculate all of the offsets whenever a measurement changes the estimated size.
+        return this._measuredSizeSums[index] +
+            (index - this._measuredCounts[index]) * this._getEstimatedItemSize();
+    }
+    /** Gets the index of the item that is rendered at a particular offset. */
+    _getIndexAtOffset(offset) {
+        let start = 0;
+        let end = Math.max(0, this._measuredCounts.length - 2);
+        // The offsets are always sorted so we can do a binary search for the
+        // last item that starts at or before the specified offset.
+        while (start < end) {
+            const middle = Math.ceil((start + end) / 2);
+            if (this._getOffset(middle) <= offset) {
+                start = middle;
+            }
+            else {
+                end = middle - 1;
+            }
+        }
+        return start;
+    }
+    /**
+     * Measures all of the items that are currently rendered and caches their sizes.
+     * @returns Index of the first item whose size changed, or -1 if none of them changed.
+     */
+    _measureRenderedItems() {
+        const viewport = this._viewport;
+        const range = viewport.getRenderedRange();
+        const end = Math.min(range.end, this._itemSizes.length);
+        let firstChangedIndex = -1;
+        for (let i = range.start; i < end; i++) {
+            const size = viewport.measureRangeSize({ start: i, end: i + 1 });
+            if (this._itemSizes[i] !== size) {
+                this._itemSizes[i] = size;
+                if (firstChangedIndex === -1) {
+                    firstChangedIndex = i;
+                }
+            }
+        }
+        return firstChangedIndex;
+    }
+    /**
+     * Reads the identities of the items in the data and moves their measured sizes to their new
+     * indexes. Measurements of items that are no longer in the data are dropped.
+     */
+    _syncItemKeys() {
+        const viewport = this._viewport;
+        const dataLength = viewport.getDataLength();
+        const previousKeys = this._itemKeys;
+        const previousSizes = this._itemSizes;
+        const keys = [];
+        const sizes = [];
+        let remainingSizes = null;
+        let firstChangedIndex = -1;
+        for (let i = 0; i < dataLength; i++) {
+            const key = viewport.getItemKey(i);
+            keys.push(key);
+            // Items that haven't moved keep their measurement.
+            if (!remainingSizes && previousKeys[i] === key && i < previousKeys.length) {
+                sizes.push(previousSizes[i]);
+                continue;
+            }
+            if (!remainingSizes) {
+                firstChangedIndex = i;
+                remainingSizes = new Map();
+                // Collect the rest of the measurements in reverse, so that items with the same key
+                // (e.g. primitives without a `trackBy` function) get them back in their original order.
+                for (let j = previousKeys.length - 1; j >= i; j--) {
+                    const queue = remainingSizes.get(previousKeys[j]);
+                    if (queue) {
+                        queue.push(previousSizes[j]);
+                    }
+                    else {
+                        remainingSizes.set(previousKeys[j], [previousSizes[j]]);
+                    }
+                }
+            }
+            const queue = remainingSizes.get(key);
+            sizes.push(queue && queue.length ? queue.pop() : undefined);
+        }
+        this._itemKeys = keys;
+        this._itemSizes = sizes;
+        this._updateMeasuredSums(firstChangedIndex === -1 ? dataLength : firstChangedIndex);
+    }
+    /**
+     * Recalculates the combined sizes of the measured items, starting from a specific index.
+     * @param fromIndex Index of the first item whose measurement changed.
+     */
+    _updateMeasuredSums(fromIndex) {
+        const sizes = this._itemSizes;
+        const sums = this._measuredSizeSums;
+        const counts = this._measuredCounts;
+        sums.length = counts.length = sizes.length + 1;
+        for (let i = fromIndex; i < sizes.length; i++) {
+            const size = sizes[i];
+            sums[i + 1] = sums[i] + (size === undefined ? 0 : size);
+            counts[i + 1] = counts[i] + (size === undefined ? 0 : 1);
+        }
+    }
+    /** Update the viewport's total content size. */
+    _updateTotalContentSize() {
+        if (!this._viewport) {
+            return;
+        }
+        this._viewport.setTotalContentSize(this._getOffset(this._itemSizes.length));
+    }
+    /** Update the viewport's rendered range. */
+    _updateRenderedRange() {
+        if (!this._viewport) {
+            return;
+        }
+        const viewport = this._viewport;
+        const renderedRange = viewport.getRenderedRange();
+        const viewportSize = viewport.getViewportSize();
+        const dataLength = viewport.getDataLength();
+        const scrollOffset = viewport.measureScrollOffset();
+        const firstVisibleIndex = this._getIndexAtOffset(scrollOffset);
+        const startBuffer = scrollOffset - this._getOffset(renderedRange.start);
+        const endBuffer = this._getOffset(renderedRange.end) - (scrollOffset + viewportSize);
+        let newRange = { start: renderedRange.start, end: renderedRange.end };
+        // Re-calculate the range if we've run out of buffer on either side, or if the data was
+        // changed in a way that leaves the rendered range beyond the end of the list.
+        if ((startBuffer < this._minBufferPx && renderedRange.start != 0) ||
+            (endBuffer < this._minBufferPx && renderedRange.end != dataLength) ||
+            renderedRange.end > dataLength) {
+            newRange = {
+                start: this._getIndexAtOffset(Math.max(0, scrollOffset - this._maxBufferPx)),
+                end: Math.min(dataLength, this._getIndexAtOffset(scrollOffset + viewportSize + this._maxBufferPx) + 1)
+            };
+        }
+        viewport.setRenderedRange(newRange);
+        viewport.setRenderedContentOffset(this._getOffset(newRange.start));
+        this._scrolledIndexChange.next(firstVisibleIndex);
+    }
+}
+/**
+ * Provider factory for `AutoSizeVirtualScrollStrategy` that simply extracts the already created
+ * `AutoSizeVirtualScrollStrategy` from the given directive.
+ * @param autoSizeDir The instance of `CdkAutoSizeVirtualScroll` to extract the
+ *     `AutoSizeVirtualScrollStrategy` from.
+ */
+export function _autoSizeVirtualScrollStrategyFactory(autoSizeDir) {
+    return autoSizeDir._scrollStrategy;
+}
+/** A virtual scroll strategy that supports items of unknown or varying size. */
+export class CdkAutoSizeVirtualScroll {
+    constructor() {
+        this._itemSizeEstimate = 50;
+        this._minBufferPx = 100;
+        this._maxBufferPx = 200;
+        /** The scroll strategy used by this directive. */
+        this._scrollStrategy = new AutoSizeVirtualScrollStrategy(this.itemSizeEstimate, this.minBufferPx, this.maxBufferPx);
+    }
+    /**
+     * The size (in pixels) to assume for items that haven't been rendered yet, before any items have
+     * been measured. Once items are measured, their average size is used instead. Defaults to 50px.
+     */
+    get itemSizeEstimate() { return this._itemSizeEstimate; }
+    set itemSizeEstimate(value) { this._itemSizeEstimate = coerceNumberProperty(value); }
+    /**
+     * The minimum amount of buffer rendered beyond the viewport (in pixels).
+     * If the amount of buffer dips below this number, more items will be rendered. Defaults to 100px.
+     */
+    get minBufferPx() { return this._minBufferPx; }
+    set minBufferPx(value) { this._minBufferPx = coerceNumberProperty(value); }
+    /**
+     * The number of pixels worth of buffer to render for when rendering new items. Defaults to 200px.
+     */
+    get maxBufferPx() { return this._maxBufferPx; }
+    set maxBufferPx(value) { this._maxBufferPx = coerceNumberProperty(value); }
+    ngOnChanges() {
+        this._scrollStrategy.updateItemSizeEstimateAndBufferSize(this.itemSizeEstimate, this.minBufferPx, this.maxBufferPx);
+    }
+}
+CdkAutoSizeVirtualScroll.decorators = [
+    { type: Directive, args: [{
+                selector: 'cdk-virtual-scroll-viewport[autosize]',
+                providers: [{
+                        provide: VIRTUAL_SCROLL_STRATEGY,
+                        useFactory: _autoSizeVirtualScrollStrategyFactory,
+                        deps: [forwardRef(() => CdkAutoSizeVirtualScroll)],
+                    }],
+            },] }
+];
+CdkAutoSizeVirtualScroll.propDecorators = {
+    itemSizeEstimate: [{ type: Input }],
+    minBufferPx: [{ type: Input }],
+    maxBufferPx: [{ type: Input }]
+};
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiYXV0by1zaXplLXZpcnR1YWwtc2Nyb2xsLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiLi4vLi4vLi4vLi4vLi4vLi4vc3JjL2Nkay9zY3JvbGxpbmcvYXV0by1zaXplLXZpcnR1YWwtc2Nyb2xsLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBOzs7Ozs7R0FNRztBQUVILE9BQU8sRUFBQyxvQkFBb0IsRUFBYyxNQUFNLHVCQUF1QixDQUFDO0FBQ3hFLE9BQU8sRUFBQyxTQUFTLEVBQUUsVUFBVSxFQUFFLEtBQUssRUFBWSxNQUFNLGVBQWUsQ0FBQztBQUN0RSxPQUFPLEVBQWEsT0FBTyxFQUFDLE1BQU0sTUFBTSxDQUFDO0FBQ3pDLE9BQU8sRUFBQyxvQkFBb0IsRUFBQyxNQUFNLGdCQUFnQixDQUFDO0FBQ3BELE9BQU8sRUFBQyx1QkFBdUIsRUFBd0IsTUFBTSwyQkFBMkIsQ0FBQztBQUl6Rjs7Ozs7R0FLRztBQUNILE1BQU0sT0FBTyw2QkFBNkI7SUFpQ3hDOzs7OztPQUtHO0lBQ0gsWUFBWSxnQkFBd0IsRUFBRSxXQUFtQixFQUFFLFdBQW1CO1FBdEN0RSx5QkFBb0IsR0FBRyxJQUFJLE9BQU8sRUFBVSxDQUFDO1FBRXJELGtFQUFrRTtRQUNsRSx3QkFBbUIsR0FBdUIsSUFBSSxDQUFDLG9CQUFvQixDQUFDLElBQUksQ0FBQyxvQkFBb0IsRUFBRSxDQUFDLENBQUM7UUFFakcsNkJBQTZCO1FBQ3JCLGNBQVMsR0FBb0MsSUFBSSxDQUFDO1FBVzFELGlGQUFpRjtRQUN6RSxjQUFTLEdBQVUsRUFBRSxDQUFDO1FBRTlCLCtGQUErRjtRQUN2RixlQUFVLEdBQTJCLEVBQUUsQ0FBQztRQUVoRDs7O1dBR0c7UUFDSyxzQkFBaUIsR0FBYSxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBRTFDLDhGQUE4RjtRQUN0RixvQkFBZSxHQUFhLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFTdEMsSUFBSSxDQUFDLGlCQUFpQixHQUFHLGdCQUFnQixDQUFDO1FBQzFDLElBQUksQ0FBQyxZQUFZLEdBQUcsV0FBVyxDQUFDO1FBQ2hDLElBQUksQ0FBQyxZQUFZLEdBQUcsV0FBVyxDQUFDO0lBQ2xDLENBQUM7SUFFRDs7O09BR0c7SUFDSCxNQUFNLENBQUMsUUFBa0M7UUFDdkMsSUFBSSxDQUFDLFNBQVMsR0FBRyxRQUFRLENBQUM7UUFDMUIsSUFBSSxDQUFDLGFBQWEsRUFBRSxDQUFDO1FBQ3JCLElBQUksQ0FBQyx1QkFBdUIsRUFBRSxDQUFDO1FBQy9CLElBQUksQ0FBQyxvQkFBb0IsRUFBRSxDQUFDO0lBQzlCLENBQUM7SUFFRCwwRUFBMEU7SUFDMUUsTUFBTTtRQUNKLElBQUksQ0FBQyxvQkFBb0IsQ0FBQyxRQUFRLEVBQUUsQ0FBQztRQUNyQyxJQUFJLENBQUMsU0FBUyxHQUFHLElBQUksQ0FBQztJQUN4QixDQUFDO0lBRUQ7Ozs7OztPQU1HO0lBQ0gsbUNBQW1DLENBQUMsZ0JBQXdCLEVBQUUsV0FBbUIsRUFDN0MsV0FBbUI7UUFDckQsSUFBSSxXQUFXLEdBQUcsV0FBVyxJQUFJLENBQUMsT0FBTyxTQUFTLEtBQUssV0FBVyxJQUFJLFNBQVMsQ0FBQyxFQUFFO1lBQ2hGLE1BQU0sS0FBSyxDQUFDLDhFQUE4RSxDQUFDLENBQUM7U0FDN0Y7UUFDRCxJQUFJLENBQUMsaUJBQWlCLEdBQUcsZ0JBQWdCLENBQUM7UUFDMUMsSUFBSSxDQUFDLFlBQVksR0FBRyxXQUFXLENBQUM7UUFDaEMsSUFBSSxDQUFDLFlBQVksR0FBRyxXQUFXLENBQUM7UUFDaEMsSUFBSSxDQUFDLHVCQUF1QixFQUFFLENBQUM7UUFDL0IsSUFBSSxDQUFDLG9CQUFvQixFQUFFLENBQUM7SUFDOUIsQ0FBQztJQUVEOzs7O09BSUc7SUFDSCxpQkFBaUI7UUFDZixJQUFJLENBQUMsVUFBVSxHQUFHLElBQUksQ0FBQyxTQUFTLENBQUMsR0FBRyxDQUFDLEdBQUcsRUFBRSxDQUFDLFNBQVMsQ0FBQyxDQUFDO1FBQ3RELElBQUksQ0FBQyxtQkFBbUIsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUM1QixJQUFJLENBQUMsdUJBQXVCLEVBQUUsQ0FBQztRQUMvQixJQUFJLENBQUMsb0JBQW9CLEVBQUUsQ0FBQztJQUM5QixDQUFDO0lBRUQsa0VBQWtFO0lBQ2xFLGlCQUFpQjtRQUNmLElBQUksQ0FBQyxvQkFBb0IsRUFBRSxDQUFDO0lBQzlCLENBQUM7SUFFRCxrRUFBa0U7SUFDbEUsbUJBQW1CO1FBQ2pCLCtEQUErRDtRQUMvRCx5REFBeUQ7UUFDekQsSUFBSSxJQUFJLENBQUMsU0FBUyxJQUFJLElBQUksQ0FBQyxTQUFTLENBQUMsYUFBYSxFQUFFLEtBQUssSUFBSSxDQUFDLFNBQVMsQ0FBQyxNQUFNLEVBQUU7WUFDOUUsSUFBSSxDQUFDLGFBQWEsRUFBRSxDQUFDO1NBQ3RCO1FBRUQsSUFBSSxDQUFDLHVCQUF1QixFQUFFLENBQUM7UUFDL0IsSUFBSSxDQUFDLG9CQUFvQixFQUFFLENBQUM7SUFDOUIsQ0FBQztJQUVELGtFQUFrRTtJQUNsRSxhQUFhO1FBQ1gsSUFBSSxDQUFDLGFBQWEsRUFBRSxDQUFDO1FBQ3JCLElBQUksQ0FBQyx1QkFBdUIsRUFBRSxDQUFDO1FBQy9CLElBQUksQ0FBQyxvQkFBb0IsRUFBRSxDQUFDO0lBQzlCLENBQUM7SUFFRCxrRUFBa0U7SUFDbEUsaUJBQWlCO1FBQ2YsTUFBTSxRQUFRLEdBQUcsSUFBSSxDQUFDLFNBQVMsQ0FBQztRQUVoQyxJQUFJLENBQUMsUUFBUSxFQUFFO1lBQ2IsT0FBTztTQUNSO1FBRUQsTUFBTSxpQkFBaUIsR0FBRyxJQUFJLENBQUMscUJBQXFCLEVBQUUsQ0FBQztRQUV2RCxJQUFJLGlCQUFpQixLQUFLLENBQUMsQ0FBQyxFQUFFO1lBQzVCLE9BQU87U0FDUjtRQUVELDRGQUE0RjtRQUM1Riw2RkFBNkY7UUFDN0YsOEZBQThGO1FBQzlGLDBFQUEwRTtRQUMxRSxNQUFNLFlBQVksR0FBRyxRQUFRLENBQUMsbUJBQW1CLEVBQUUsQ0FBQztRQUNwRCxNQUFNLFdBQVcsR0FBRyxJQUFJLENBQUMsaUJBQWlCLENBQUMsWUFBWSxDQUFDLENBQUM7UUFDekQsTUFBTSxXQUFXLEdBQUcsWUFBWSxHQUFHLElBQUksQ0FBQyxVQUFVLENBQUMsV0FBVyxDQUFDLENBQUM7UUFFaEUsSUFBSSxDQUFDLG1CQUFtQixDQUFDLGlCQUFpQixDQUFDLENBQUM7UUFDNUMsSUFBSSxDQUFDLHVCQUF1QixFQUFFLENBQUM7UUFDL0IsUUFBUSxDQUFDLHdCQUF3QixDQUFDLElBQUksQ0FBQyxVQUFVLENBQUMsUUFBUSxDQUFDLGdCQUFnQixFQUFFLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQztRQUV0RixNQUFNLGVBQWUsR0FBRyxJQUFJLENBQUMsVUFBVSxDQUFDLFdBQVcsQ0FBQyxHQUFHLFdBQVcsQ0FBQztRQUVuRSxJQUFJLGVBQWUsS0FBSyxZQUFZLEVBQUU7WUFDcEMsUUFBUSxDQUFDLGNBQWMsQ0FBQyxlQUFlLENBQUMsQ0FBQztTQUMxQztRQUVELDRGQUE0RjtRQUM1RixJQUFJLENBQUMsb0JBQW9CLEVBQUUsQ0FBQztJQUM5QixDQUFDO0lBRUQsa0VBQWtFO0lBQ2xFLHVCQUF1QixLQUFpQixDQUFDO0lBRXpDOzs7O09BSUc7SUFDSCxhQUFhLENBQUMsS0FBYSxFQUFFLFFBQXdCO1FBQ25ELElBQUksSUFBSSxDQUFDLFNBQVMsRUFBRTtZQUNsQixJQUFJLENBQUMsU0FBUyxDQUFDLGNBQWMsQ0FBQyxJQUFJLENBQUMsVUFBVSxDQUFDLEtBQUssQ0FBQyxFQUFFLFFBQVEsQ0FBQyxDQUFDO1NBQ2pFO0lBQ0gsQ0FBQztJQUVELGtGQUFrRjtJQUMxRSxxQkFBcUI7UUFDM0IsTUFBTSxTQUFTLEdBQUcsSUFBSSxDQUFDLGVBQWUsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDO1FBQ2xELE1BQU0sYUFBYSxHQUFHLElBQUksQ0FBQyxlQUFlLENBQUMsU0FBUyxDQUFDLENBQUM7UUFDdEQsT0FBTyxhQUFhLENBQUMsQ0FBQztZQUNsQixJQUFJLENBQUMsaUJBQWlCLENBQUMsU0FBUyxDQUFDLEdBQUcsYUFBYSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsaUJBQWlCLENBQUM7SUFDakYsQ0FBQztJQUVELDBGQUEwRjtJQUNsRixVQUFVLENBQUMsS0FBYTtRQUM5QixLQUFLLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLEVBQUUsSUFBSSxDQUFDLEdBQUcsQ0FBQyxLQUFLLEVBQUUsSUFBSSxDQUFDLGVBQWUsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUV0RSxzRkFBc0Y7UUFDdEYsa0ZBQWtGO1FBQ2xGLG9GQUFvRjtRQUNwRixPQUFPLElBQUksQ0FBQyxpQkFBaUIsQ0FBQyxLQUFLLENBQUM7WUFDaEMsQ0FBQyxLQUFLLEdBQUcsSUFBSSxDQUFDLGVBQWUsQ0FBQyxLQUFLLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQyxxQkFBcUIsRUFBRSxDQUFDO0lBQzNFLENBQUM7SUFFRCwwRUFBMEU7SUFDbEUsaUJBQWlCLENBQUMsTUFBYztRQUN0QyxJQUFJLEtBQUssR0FBRyxDQUFDLENBQUM7UUFDZCxJQUFJLEdBQUcsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsRUFBRSxJQUFJLENBQUMsZUFBZSxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQztRQUV2RCxxRUFBcUU7UUFDckUsMkRBQTJEO1FBQzNELE9BQU8sS0FBSyxHQUFHLEdBQUcsRUFBRTtZQUNsQixNQUFNLE1BQU0sR0FBRyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsS0FBSyxHQUFHLEdBQUcsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDO1lBRTVDLElBQUksSUFBSSxDQUFDLFVBQVUsQ0FBQyxNQUFNLENBQUMsSUFBSSxNQUFNLEVBQUU7Z0JBQ3JDLEtBQUssR0FBRyxNQUFNLENBQUM7YUFDaEI7aUJBQU07Z0JBQ0wsR0FBRyxHQUFHLE1BQU0sR0FBRyxDQUFDLENBQUM7YUFDbEI7U0FDRjtRQUVELE9BQU8sS0FBSyxDQUFDO0lBQ2YsQ0FBQztJQUVEOzs7T0FHRztJQUNLLHFCQUFxQjtRQUMzQixNQUFNLFFBQVEsR0FBRyxJQUFJLENBQUMsU0FBVSxDQUFDO1FBQ2pDLE1BQU0sS0FBSyxHQUFHLFFBQVEsQ0FBQyxnQkFBZ0IsRUFBRSxDQUFDO1FBQzFDLE1BQU0sR0FBRyxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLEdBQUcsRUFBRSxJQUFJLENBQUMsVUFBVSxDQUFDLE1BQU0sQ0FBQyxDQUFDO1FBQ3hELElBQUksaUJBQWlCLEdBQUcsQ0FBQyxDQUFDLENBQUM7UUFFM0IsS0FBSyxJQUFJLENBQUMsR0FBRyxLQUFLLENBQUMsS0FBSyxFQUFFLENBQUMsR0FBRyxHQUFHLEVBQUUsQ0FBQyxFQUFFLEVBQUU7WUFDdEMsTUFBTSxJQUFJLEdBQUcsUUFBUSxDQUFDLGdCQUFnQixDQUFDLEVBQUMsS0FBSyxFQUFFLENBQUMsRUFBRSxHQUFHLEVBQUUsQ0FBQyxHQUFHLENBQUMsRUFBQyxDQUFDLENBQUM7WUFFL0QsSUFBSSxJQUFJLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQyxLQUFLLElBQUksRUFBRTtnQkFDL0IsSUFBSSxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUMsR0FBRyxJQUFJLENBQUM7Z0JBRTFCLElBQUksaUJBQWlCLEtBQUssQ0FBQyxDQUFDLEVBQUU7b0JBQzVCLGlCQUFpQixHQUFHLENBQUMsQ0FBQztpQkFDdkI7YUFDRjtTQUNGO1FBRUQsT0FBTyxpQkFBaUIsQ0FBQztJQUMzQixDQUFDO0lBRUQ7OztPQUdHO0lBQ0ssYUFBYTtRQUNuQixNQUFNLFFBQVEsR0FBRyxJQUFJLENBQUMsU0FBVSxDQUFDO1FBQ2pDLE1BQU0sVUFBVSxHQUFHLFFBQVEsQ0FBQyxhQUFhLEVBQUUsQ0FBQztRQUM1QyxNQUFNLFlBQVksR0FBRyxJQUFJLENBQUMsU0FBUyxDQUFDO1FBQ3BDLE1BQU0sYUFBYSxHQUFHLElBQUksQ0FBQyxVQUFVLENBQUM7UUFDdEMsTUFBTSxJQUFJLEdBQVUsRUFBRSxDQUFDO1FBQ3ZCLE1BQU0sS0FBSyxHQUEyQixFQUFFLENBQUM7UUFDekMsSUFBSSxjQUFjLEdBQTRDLElBQUksQ0FBQztRQUNuRSxJQUFJLGlCQUFpQixHQUFHLENBQUMsQ0FBQyxDQUFDO1FBRTNCLEtBQUssSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxVQUFVLEVBQUUsQ0FBQyxFQUFFLEVBQUU7WUFDbkMsTUFBTSxHQUFHLEdBQUcsUUFBUSxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUNuQyxJQUFJLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDO1lBRWYsbURBQW1EO1lBQ25ELElBQUksQ0FBQyxjQUFjLElBQUksWUFBWSxDQUFDLENBQUMsQ0FBQyxLQUFLLEdBQUcsSUFBSSxDQUFDLEdBQUcsWUFBWSxDQUFDLE1BQU0sRUFBRTtnQkFDekUsS0FBSyxDQUFDLElBQUksQ0FBQyxhQUFhLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztnQkFDN0IsU0FBUzthQUNWO1lBRUQsSUFBSSxDQUFDLGNBQWMsRUFBRTtnQkFDbkIsaUJBQWlCLEdBQUcsQ0FBQyxDQUFDO2dCQUN0QixjQUFjLEdBQUcsSUFBSSxHQUFHLEVBQStCLENBQUM7Z0JBRXhELG1GQUFtRjtnQkFDbkYsd0ZBQXdGO2dCQUN4RixLQUFLLElBQUksQ0FBQyxHQUFHLFlBQVksQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxFQUFFLEVBQUU7b0JBQ2pELE1BQU0sS0FBSyxHQUFHLGNBQWMsQ0FBQyxHQUFHLENBQUMsWUFBWSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7b0JBRWxELElBQUksS0FBSyxFQUFFO3dCQUNULEtBQUssQ0FBQyxJQUFJLENBQUMsYUFBYSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7cUJBQzlCO3lCQUFNO3dCQUNMLGNBQWMsQ0FBQyxHQUFHLENBQUMsWUFBWSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsYUFBYSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztxQkFDekQ7aUJBQ0Y7YUFDRjtZQUVELE1BQU0sS0FBSyxHQUFHLGNBQWMsQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLENBQUM7WUFDdEMsS0FBSyxDQUFDLElBQUksQ0FBQyxLQUFLLElBQUksS0FBSyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLEdBQUcsRUFBRSxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQztTQUM3RDtRQUVELElBQUksQ0FBQyxTQUFTLEdBQUcsSUFBSSxDQUFDO1FBQ3RCLElBQUksQ0FBQyxVQUFVLEdBQUcsS0FBSyxDQUFDO1FBQ3hCLElBQUksQ0FBQyxtQkFBbUIsQ0FBQyxpQkFBaUIsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDO0lBQ3RGLENBQUM7SUFFRDs7O09BR0c7SUFDSyxtQkFBbUIsQ0FBQyxTQUFpQjtRQUMzQyxNQUFNLEtBQUssR0FBRyxJQUFJLENBQUMsVUFBVSxDQUFDO1FBQzlCLE1BQU0sSUFBSSxHQUFHLElBQUksQ0FBQyxpQkFBaUIsQ0FBQztRQUNwQyxNQUFNLE1BQU0sR0FBRyxJQUFJLENBQUMsZUFBZSxDQUFDO1FBRXBDLElBQUksQ0FBQyxNQUFNLEdBQUcsTUFBTSxDQUFDLE1BQU0sR0FBRyxLQUFLLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQztRQUUvQyxLQUFLLElBQUksQ0FBQyxHQUFHLFNBQVMsRUFBRSxDQUFDLEdBQUcsS0FBSyxDQUFDLE1BQU0sRUFBRSxDQUFDLEVBQUUsRUFBRTtZQUM3QyxNQUFNLElBQUksR0FBRyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUM7WUFDdEIsSUFBSSxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsR0FBRyxJQUFJLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxJQUFJLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDO1lBQ3hELE1BQU0sQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLEdBQUcsTUFBTSxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsSUFBSSxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztTQUMxRDtJQUNILENBQUM7SUFFRCxnREFBZ0Q7SUFDeEMsdUJBQXVCO1FBQzdCLElBQUksQ0FBQyxJQUFJLENBQUMsU0FBUyxFQUFFO1lBQ25CLE9BQU87U0FDUjtRQUVELElBQUksQ0FBQyxTQUFTLENBQUMsbUJBQW1CLENBQUMsSUFBSSxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsVUFBVSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUM7SUFDOUUsQ0FBQztJQUVELDRDQUE0QztJQUNwQyxvQkFBb0I7UUFDMUIsSUFBSSxDQUFDLElBQUksQ0FBQyxTQUFTLEVBQUU7WUFDbkIsT0FBTztTQUNSO1FBRUQsTUFBTSxRQUFRLEdBQUcsSUFBSSxDQUFDLFNBQVMsQ0FBQztRQUNoQyxNQUFNLGFBQWEsR0FBRyxRQUFRLENBQUMsZ0JBQWdCLEVBQUUsQ0FBQztRQUNsRCxNQUFNLFlBQVksR0FBRyxRQUFRLENBQUMsZUFBZSxFQUFFLENBQUM7UUFDaEQsTUFBTSxVQUFVLEdBQUcsUUFBUSxDQUFDLGFBQWEsRUFBRSxDQUFDO1FBQzVDLE1BQU0sWUFBWSxHQUFHLFFBQVEsQ0FBQyxtQkFBbUIsRUFBRSxDQUFDO1FBQ3BELE1BQU0saUJBQWlCLEdBQUcsSUFBSSxDQUFDLGlCQUFpQixDQUFDLFlBQVksQ0FBQyxDQUFDO1FBQy9ELE1BQU0sV0FBVyxHQUFHLFlBQVksR0FBRyxJQUFJLENBQUMsVUFBVSxDQUFDLGFBQWEsQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUN4RSxNQUFNLFNBQVMsR0FBRyxJQUFJLENBQUMsVUFBVSxDQUFDLGFBQWEsQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLFlBQVksR0FBRyxZQUFZLENBQUMsQ0FBQztRQUNyRixJQUFJLFFBQVEsR0FBRyxFQUFDLEtBQUssRUFBRSxhQUFhLENBQUMsS0FBSyxFQUFFLEdBQUcsRUFBRSxhQUFhLENBQUMsR0FBRyxFQUFDLENBQUM7UUFFcEUsdUZBQXVGO1FBQ3ZGLDhFQUE4RTtRQUM5RSxJQUFJLENBQUMsV0FBVyxHQUFHLElBQUksQ0FBQyxZQUFZLElBQUksYUFBYSxDQUFDLEtBQUssSUFBSSxDQUFDLENBQUM7WUFDN0QsQ0FBQyxTQUFTLEdBQUcsSUFBSSxDQUFDLFlBQVksSUFBSSxhQUFhLENBQUMsR0FBRyxJQUFJLFVBQVUsQ0FBQztZQUNsRSxhQUFhLENBQUMsR0FBRyxHQUFHLFVBQVUsRUFBRTtZQUNsQyxRQUFRLEdBQUc7Z0JBQ1QsS0FBSyxFQUFFLElBQUksQ0FBQyxpQkFBaUIsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsRUFBRSxZQUFZLEdBQUcsSUFBSSxDQUFDLFlBQVksQ0FBQyxDQUFDO2dCQUM1RSxHQUFHLEVBQUUsSUFBSSxDQUFDLEdBQUcsQ0FBQyxVQUFVLEVBQ3BCLElBQUksQ0FBQyxpQkFBaUIsQ0FBQyxZQUFZLEdBQUcsWUFBWSxHQUFHLElBQUksQ0FBQyxZQUFZLENBQUMsR0FBRyxDQUFDLENBQUM7YUFDakYsQ0FBQztTQUNIO1FBRUQsUUFBUSxDQUFDLGdCQUFnQixDQUFDLFFBQVEsQ0FBQyxDQUFDO1FBQ3BDLFFBQVEsQ0FBQyx3QkFBd0IsQ0FBQyxJQUFJLENBQUMsVUFBVSxDQUFDLFFBQVEsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDO1FBQ25FLElBQUksQ0FBQyxvQkFBb0IsQ0FBQyxJQUFJLENBQUMsaUJBQWlCLENBQUMsQ0FBQztJQUNwRCxDQUFDO0NBQ0Y7QUFHRDs7Ozs7R0FLRztBQUNILE1BQU0sVUFBVSxxQ0FBcUMsQ0FBQyxXQUFxQztJQUN6RixPQUFPLFdBQVcsQ0FBQyxlQUFlLENBQUM7QUFDckMsQ0FBQztBQUdELGdGQUFnRjtBQVNoRixNQUFNLE9BQU8sd0JBQXdCO0lBUnJDO1FBZ0JFLHNCQUFpQixHQUFHLEVBQUUsQ0FBQztRQVN2QixpQkFBWSxHQUFHLEdBQUcsQ0FBQztRQVFuQixpQkFBWSxHQUFHLEdBQUcsQ0FBQztRQUVuQixrREFBa0Q7UUFDbEQsb0JBQWUsR0FBRyxJQUFJLDZCQUE2QixDQUMvQyxJQUFJLENBQUMsZ0JBQWdCLEVBQUUsSUFBSSxDQUFDLFdBQVcsRUFBRSxJQUFJLENBQUMsV0FBVyxDQUFDLENBQUM7SUFVakUsQ0FBQztJQXRDQzs7O09BR0c7SUFDSCxJQUNJLGdCQUFnQixLQUFhLE9BQU8sSUFBSSxDQUFDLGlCQUFpQixDQUFDLENBQUMsQ0FBQztJQUNqRSxJQUFJLGdCQUFnQixDQUFDLEtBQWEsSUFBSSxJQUFJLENBQUMsaUJBQWlCLEdBQUcsb0JBQW9CLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBRzdGOzs7T0FHRztJQUNILElBQ0ksV0FBVyxLQUFhLE9BQU8sSUFBSSxDQUFDLFlBQVksQ0FBQyxDQUFDLENBQUM7SUFDdkQsSUFBSSxXQUFXLENBQUMsS0FBYSxJQUFJLElBQUksQ0FBQyxZQUFZLEdBQUcsb0JBQW9CLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBR25GOztPQUVHO0lBQ0gsSUFDSSxXQUFXLEtBQWEsT0FBTyxJQUFJLENBQUMsWUFBWSxDQUFDLENBQUMsQ0FBQztJQUN2RCxJQUFJLFdBQVcsQ0FBQyxLQUFhLElBQUksSUFBSSxDQUFDLFlBQVksR0FBRyxvQkFBb0IsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFPbkYsV0FBVztRQUNULElBQUksQ0FBQyxlQUFlLENBQUMsbUNBQW1DLENBQ3BELElBQUksQ0FBQyxnQkFBZ0IsRUFBRSxJQUFJLENBQUMsV0FBVyxFQUFFLElBQUksQ0FBQyxXQUFXLENBQUMsQ0FBQztJQUNqRSxDQUFDOzs7WUExQ0YsU0FBUyxTQUFDO2dCQUNULFFBQVEsRUFBRSx1Q0FBdUM7Z0JBQ2pELFNBQVMsRUFBRSxDQUFDO3dCQUNWLE9BQU8sRUFBRSx1QkFBdUI7d0JBQ2hDLFVBQVUsRUFBRSxxQ0FBcUM7d0JBQ2pELElBQUksRUFBRSxDQUFDLFVBQVUsQ0FBQyxHQUFHLEVBQUUsQ0FBQyx3QkFBd0IsQ0FBQyxDQUFDO3FCQUNuRCxDQUFDO2FBQ0g7OzsrQkFNRSxLQUFLOzBCQVNMLEtBQUs7MEJBUUwsS0FBSyIsInNvdXJjZXNDb250ZW50IjpbIi8qKlxuICogQGxpY2Vuc2VcbiAqIENvcHlyaWdodCBHb29nbGUgTExDIEFsbCBSaWdodHMgUmVzZXJ2ZWQuXG4gKlxuICogVXNlIG9mIHRoaXMgc291cmNlIGNvZGUgaXMgZ292ZXJuZWQgYnkgYW4gTUlULXN0eWxlIGxpY2Vuc2UgdGhhdCBjYW4gYmVcbiAqIGZvdW5kIGluIHRoZSBMSUNFTlNFIGZpbGUgYXQgaHR0cHM6Ly9hbmd1bGFyLmlvL2xpY2Vuc2VcbiAqL1xuXG5pbXBvcnQge2NvZXJjZU51bWJlclByb3BlcnR5LCBOdW1iZXJJbnB1dH0gZnJvbSAnQGFuZ3VsYXIvY2RrL2NvZXJjaW9uJztcbmltcG9ydCB7RGlyZWN0aXZlLCBmb3J3YXJkUmVmLCBJbnB1dCwgT25DaGFuZ2VzfSBmcm9tICdAYW5ndWxhci9jb3JlJztcbmltcG9ydCB7T2JzZXJ2YWJsZSwgU3ViamVjdH0gZnJvbSAncnhqcyc7XG5pbXBvcnQge2Rpc3RpbmN0VW50aWxDaGFuZ2VkfSBmcm9tICdyeGpzL29wZXJhdG9ycyc7XG5pbXBvcnQge1ZJUlRVQUxfU0NST0xMX1NUUkFURUdZLCBWaXJ0dWFsU2Nyb2xsU3RyYXRlZ3l9IGZyb20gJy4vdmlydHVhbC1zY3JvbGwtc3RyYXRlZ3knO1xuaW1wb3J0IHtDZGtWaXJ0dWFsU2Nyb2xsVmlld3BvcnR9IGZyb20gJy4vdmlydHVhbC1zY3JvbGwtdmlld3BvcnQnO1xuXG5cbi8qKlxuICogVmlydHVhbCBzY3JvbGxpbmcgc3RyYXRlZ3kgZm9yIGxpc3RzIHdpdGggaXRlbXMgb2YgdW5rbm93biBvciB2YXJpYWJsZSBzaXplLiBJdGVtcyB0aGF0IGhhdmVuJ3RcbiAqIGJlZW4gcmVuZGVyZWQgeWV0IGFyZSBlc3RpbWF0ZWQsIHdoaWxlIHJlbmRlcmVkIGl0ZW1zIGFyZSBtZWFzdXJlZC4gVGhlIG1lYXN1cmVkIHNpemVzIGZvbGxvd1xuICogdGhlIGl0ZW1zIGFyb3VuZCB3aGVuIHRoZSBkYXRhIGNoYW5nZXMsIGJhc2VkIG9uIHRoZWlyIGlkZW50aXR5IChhcyBkZXRlcm1pbmVkIGJ5IHRoZSBgdHJhY2tCeWBcbiAqIGZ1bmN0aW9uIG9mIHRoZSByZXBlYXRlcikuXG4gKi9cbmV4cG9ydCBjbGFzcyBBdXRvU2l6ZVZpcnR1YWxTY3JvbGxTdHJhdGVneSBpbXBsZW1lbnRzIFZpcnR1YWxTY3JvbGxTdHJhdGVneSB7XG4gIHByaXZhdGUgX3Njcm9sbGVkSW5kZXhDaGFuZ2UgPSBuZXcgU3ViamVjdDxudW1iZXI+KCk7XG5cbiAgLyoqIEBkb2NzLXByaXZhdGUgSW1wbGVtZW50ZWQgYXMgcGFydCBvZiBWaXJ0dWFsU2Nyb2xsU3RyYXRlZ3kuICovXG4gIHNjcm9sbGVkSW5kZXhDaGFuZ2U6IE9ic2VydmFibGU8bnVtYmVyPiA9IHRoaXMuX3Njcm9sbGVkSW5kZXhDaGFuZ2UucGlwZShkaXN0aW5jdFVudGlsQ2hhbmdlZCgpKTtcblxuICAvKiogVGhlIGF0dGFjaGVkIHZpZXdwb3J0LiAqL1xuICBwcml2YXRlIF92aWV3cG9ydDogQ2RrVmlydHVhbFNjcm9sbFZpZXdwb3J0IHwgbnVsbCA9IG51bGw7XG5cbiAgLyoqIFRoZSBzaXplIHRvIGFzc3VtZSBmb3IgaXRlbXMgdGhhdCBoYXZlbid0IGJlZW4gbWVhc3VyZWQgeWV0LCBpZiBub3RoaW5nIHdhcyBtZWFzdXJlZC4gKi9cbiAgcHJpdmF0ZSBfaXRlbVNpemVFc3RpbWF0ZTogbnVtYmVyO1xuXG4gIC8qKiBUaGUgbWluaW11bSBhbW91bnQgb2YgYnVmZmVyIHJlbmRlcmVkIGJleW9uZCB0aGUgdmlld3BvcnQgKGluIHBpeGVscykuICovXG4gIHByaXZhdGUgX21pbkJ1ZmZlclB4OiBudW1iZXI7XG5cbiAgLyoqIFRoZSBudW1iZXIgb2YgYnVmZmVyIGl0ZW1zIHRvIHJlbmRlciBiZXlvbmQgdGhlIGVkZ2Ugb2YgdGhlIHZpZXdwb3J0IChpbiBwaXhlbHMpLiAqL1xuICBwcml2YXRlIF9tYXhCdWZmZXJQeDogbnVtYmVyO1xuXG4gIC8qKiBJZGVudGl0aWVzIG9mIHRoZSBpdGVtcyBpbiB0aGUgZGF0YSwgYXMgb2YgdGhlIGxhc3QgdGltZSB0aGUgZGF0YSBjaGFuZ2VkLiAqL1xuICBwcml2YXRlIF9pdGVtS2V5czogYW55W10gPSBbXTtcblxuICAvKiogTWVhc3VyZWQgc2l6ZSBvZiBlYWNoIGl0ZW0gaW4gdGhlIGRhdGEsIG9yIGB1bmRlZmluZWRgIGlmIHRoZSBpdGVtIGhhc24ndCBiZWVuIG1lYXN1cmVkLiAqL1xuICBwcml2YXRlIF9pdGVtU2l6ZXM6IChudW1iZXIgfCB1bmRlZmluZWQpW10gPSBbXTtcblxuICAvKipcbiAgICogQ29tYmluZWQgc2l6ZSBvZiB0aGUgbWVhc3VyZWQgaXRlbXMgYmVmb3JlIGVhY2ggaW5kZXguIENvbnRhaW5zIG9uZSBlbnRyeSBtb3JlIHRoYW4gdGhlXG4gICAqIG51bWJlciBvZiBpdGVtcywgdGhlIGxhc3Qgb2Ygd2hpY2ggaXMgdGhlIGNvbWJpbmVkIHNpemUgb2YgYWxsIG9mIHRoZSBtZWFzdXJlZCBpdGVtcy5cbiAgICovXG4gIHByaXZhdGUgX21lYXN1cmVkU2l6ZVN1bXM6IG51bWJlcltdID0gWzBdO1xuXG4gIC8qKiBOdW1iZXIgb2YgbWVhc3VyZWQgaXRlbXMgYmVmb3JlIGVhY2ggaW5kZXguIEhhcyB0aGUgc2FtZSBsYXlvdXQgYXMgYF9tZWFzdXJlZFNpemVTdW1zYC4gKi9cbiAgcHJpdmF0ZSBfbWVhc3VyZWRDb3VudHM6IG51bWJlcltdID0gWzBdO1xuXG4gIC8qKlxuICAgKiBAcGFyYW0gaXRlbVNpemVFc3RpbWF0ZSBUaGUgc2l6ZSB0byBhc3N1bWUgZm9yIGl0ZW1zIHRoYXQgaGF2ZW4ndCBiZWVuIG1lYXN1cmVkIHlldCwgaWYgbm9cbiAgICogICAgIGl0ZW1zIGhhdmUgYmVlbiBtZWFzdXJlZC5cbiAgICogQHBhcmFtIG1pbkJ1ZmZlclB4IFRoZSBtaW5pbXVtIGFtb3VudCBvZiBidWZmZXIgKGluIHBpeGVscykgYmVmb3JlIG5lZWRpbmcgdG8gcmVuZGVyIG1vcmVcbiAgICogQHBhcmFtIG1heEJ1ZmZlclB4IFRoZSBhbW91bnQgb2YgYnVmZmVyIChpbiBwaXhlbHMpIHRvIHJlbmRlciB3aGVuIHJlbmRlcmluZyBtb3JlLlxuICAgKi9cbiAgY29uc3RydWN0b3IoaXRlbVNpemVFc3RpbWF0ZTogbnVtYmVyLCBtaW5CdWZmZXJQeDogbnVtYmVyLCBtYXhCdWZmZXJQeDogbnVtYmVyKSB7XG4gICAgdGhpcy5faXRlbVNpemVFc3RpbWF0ZSA9IGl0ZW1TaXplRXN0aW1hdGU7XG4gICAgdGhpcy5fbWluQnVmZmVyUHggPSBtaW5CdWZmZXJQeDtcbiAgICB0aGlzLl9tYXhCdWZmZXJQeCA9IG1heEJ1ZmZlclB4O1xuICB9XG5cbiAgLyoqXG4gICAqIEF0dGFjaGVzIHRoaXMgc2Nyb2xsIHN0cmF0ZWd5IHRvIGEgdmlld3BvcnQuXG4gICAqIEBwYXJhbSB2aWV3cG9ydCBUaGUgdmlld3BvcnQgdG8gYXR0YWNoIHRoaXMgc3RyYXRlZ3kgdG8uXG4gICAqL1xuICBhdHRhY2godmlld3BvcnQ6IENka1ZpcnR1YWxTY3JvbGxWaWV3cG9ydCkge1xuICAgIHRoaXMuX3ZpZXdwb3J0ID0gdmlld3BvcnQ7XG4gICAgdGhpcy5fc3luY0l0ZW1LZXlzKCk7XG4gICAgdGhpcy5fdXBkYXRlVG90YWxDb250ZW50U2l6ZSgpO1xuICAgIHRoaXMuX3VwZGF0ZVJlbmRlcmVkUmFuZ2UoKTtcbiAgfVxuXG4gIC8qKiBEZXRhY2hlcyB0aGlzIHNjcm9sbCBzdHJhdGVneSBmcm9tIHRoZSBjdXJyZW50bHkgYXR0YWNoZWQgdmlld3BvcnQuICovXG4gIGRldGFjaCgpIHtcbiAgICB0aGlzLl9zY3JvbGxlZEluZGV4Q2hhbmdlLmNvbXBsZXRlKCk7XG4gICAgdGhpcy5fdmlld3BvcnQgPSBudWxsO1xuICB9XG5cbiAgLyoqXG4gICAqIFVwZGF0ZSB0aGUgaXRlbSBzaXplIGVzdGltYXRlIGFuZCBidWZmZXIgc2l6ZS5cbiAgICogQHBhcmFtIGl0ZW1TaXplRXN0aW1hdGUgVGhlIHNpemUgdG8gYXNzdW1lIGZvciBpdGVtcyB0aGF0IGhhdmVuJ3QgYmVlbiBtZWFzdXJlZCB5ZXQsIGlmIG5vXG4gICAqICAgICBpdGVtcyBoYXZlIGJlZW4gbWVhc3VyZWQuXG4gICAqIEBwYXJhbSBtaW5CdWZmZXJQeCBUaGUgbWluaW11bSBhbW91bnQgb2YgYnVmZmVyIChpbiBwaXhlbHMpIGJlZm9yZSBuZWVkaW5nIHRvIHJlbmRlciBtb3JlXG4gICAqIEBwYXJhbSBtYXhCdWZmZXJQeCBUaGUgYW1vdW50IG9mIGJ1ZmZlciAoaW4gcGl4ZWxzKSB0byByZW5kZXIgd2hlbiByZW5kZXJpbmcgbW9yZS5cbiAgICovXG4gIHVwZGF0ZUl0ZW1TaXplRXN0aW1hdGVBbmRCdWZmZXJTaXplKGl0ZW1TaXplRXN0aW1hdGU6IG51bWJlciwgbWluQnVmZmVyUHg6IG51bWJlcixcbiAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgbWF4QnVmZmVyUHg6IG51bWJlcikge1xuICAgIGlmIChtYXhCdWZmZXJQeCA8IG1pbkJ1ZmZlclB4ICYmICh0eXBlb2YgbmdEZXZNb2RlID09PSAndW5kZWZpbmVkJyB8fCBuZ0Rldk1vZGUpKSB7XG4gICAgICB0aHJvdyBFcnJvcignQ0RLIHZpcnR1YWwgc2Nyb2xsOiBtYXhCdWZmZXJQeCBtdXN0IGJlIGdyZWF0ZXIgdGhhbiBvciBlcXVhbCB0byBtaW5CdWZmZXJQeCcpO1xuICAgIH1cbiAgICB0aGlzLl9pdGVtU2l6ZUVzdGltYXRlID0gaXRlbVNpemVFc3RpbWF0ZTtcbiAgICB0aGlzLl9taW5CdWZmZXJQeCA9IG1pbkJ1ZmZlclB4O1xuICAgIHRoaXMuX21heEJ1ZmZlclB4ID0gbWF4QnVmZmVyUHg7XG4gICAgdGhpcy5fdXBkYXRlVG90YWxDb250ZW50U2l6ZSgpO1xuICAgIHRoaXMuX3VwZGF0ZVJlbmRlcmVkUmFuZ2UoKTtcbiAgfVxuXG4gIC8qKlxuICAgKiBDbGVhcnMgYWxsIG9mIHRoZSBjYWNoZWQgaXRlbSBtZWFzdXJlbWVudHMuIFVzZWZ1bCB3aGVuIHNvbWV0aGluZyBoYXMgY2hhbmdlZCB0aGF0IGFmZmVjdHNcbiAgICogdGhlIHNpemUgb2YgYWxsIGl0ZW1zIChlLmcuIHRoZSB3aWR0aCBvZiB0aGUgdmlld3BvcnQpLiBSZW5kZXJlZCBpdGVtcyB3aWxsIGJlIHJlLW1lYXN1cmVkXG4gICAqIHRoZSBuZXh0IHRpbWUgdGhlIGNvbnRlbnQgaXMgcmVuZGVyZWQuXG4gICAqL1xuICByZXNldE1lYXN1cmVtZW50cygpIHtcbiAgICB0aGlzLl9pdGVtU2l6ZXMgPSB0aGlzLl9pdGVtS2V5cy5tYXAoKCkgPT4gdW5kZWZpbmVkKTtcbiAgICB0aGlzLl91cGRhdGVNZWFzdXJlZFN1bXMoMCk7XG4gICAgdGhpcy5fdXBkYXRlVG90YWxDb250ZW50U2l6ZSgpO1xuICAgIHRoaXMuX3VwZGF0ZVJlbmRlcmVkUmFuZ2UoKTtcbiAgfVxuXG4gIC8qKiBAZG9jcy1wcml2YXRlIEltcGxlbWVudGVkIGFzIHBhcnQgb2YgVmlydHVhbFNjcm9sbFN0cmF0ZWd5LiAqL1xuICBvbkNvbnRlbnRTY3JvbGxlZCgpIHtcbiAgICB0aGlzLl91cGRhdGVSZW5kZXJlZFJhbmdlKCk7XG4gIH1cblxuICAvKiogQGRvY3MtcHJpdmF0ZSBJbXBsZW1lbnRlZCBhcyBwYXJ0IG9mIFZpcnR1YWxTY3JvbGxTdHJhdGVneS4gKi9cbiAgb25EYXRhTGVuZ3RoQ2hhbmdlZCgpIHtcbiAgICAvLyBUaGUga2V5cyBhcmUgdXN1YWxseSBzeW5jZWQgdGhyb3VnaCBgb25EYXRhQ2hhbmdlZGAgYWxyZWFkeSxcbiAgICAvLyBidXQgdGhlIHZpZXdwb3J0IGNhbiBhbHNvIGNhbGwgdGhpcyBtZXRob2Qgb24gaXRzIG93bi5cbiAgICBpZiAodGhpcy5fdmlld3BvcnQgJiYgdGhpcy5fdmlld3BvcnQuZ2V0RGF0YUxlbmd0aCgpICE9PSB0aGlzLl9pdGVtS2V5cy5sZW5ndGgpIHtcbiAgICAgIHRoaXMuX3N5bmNJdGVtS2V5cygpO1xuICAgIH1cblxuICAgIHRoaXMuX3VwZGF0ZVRvdGFsQ29udGVudFNpemUoKTtcbiAgICB0aGlzLl91cGRhdGVSZW5kZXJlZFJhbmdlKCk7XG4gIH1cblxuICAvKiogQGRvY3MtcHJpdmF0ZSBJbXBsZW1lbnRlZCBhcyBwYXJ0IG9mIFZpcnR1YWxTY3JvbGxTdHJhdGVneS4gKi9cbiAgb25EYXRhQ2hhbmdlZCgpIHtcbiAgICB0aGlzLl9zeW5jSXRlbUtleXMoKTtcbiAgICB0aGlzLl91cGRhdGVUb3RhbENvbnRlbnRTaXplKCk7XG4gICAgdGhpcy5fdXBkYXRlUmVuZGVyZWRSYW5nZSgpO1xuICB9XG5cbiAgLyoqIEBkb2NzLXByaXZhdGUgSW1wbGVtZW50ZWQgYXMgcGFydCBvZiBWaXJ0dWFsU2Nyb2xsU3RyYXRlZ3kuICovXG4gIG9uQ29udGVudFJlbmRlcmVkKCkge1xuICAgIGNvbnN0IHZpZXdwb3J0ID0gdGhpcy5fdmlld3BvcnQ7XG5cbiAgICBpZiAoIXZpZXdwb3J0KSB7XG4gICAgICByZXR1cm47XG4gICAgfVxuXG4gICAgY29uc3QgZmlyc3RDaGFuZ2VkSW5kZXggPSB0aGlzLl9tZWFzdXJlUmVuZGVyZWRJdGVtcygpO1xuXG4gICAgaWYgKGZpcnN0Q2hhbmdlZEluZGV4ID09PSAtMSkge1xuICAgICAgcmV0dXJuO1xuICAgIH1cblxuICAgIC8vIFNvbWUgb2YgdGhlIG1lYXN1cmVtZW50cyBjaGFuZ2VkIHNvIHRoZSBpdGVtIG9mZnNldHMgbmVlZCB0byBiZSByZWNhbGN1bGF0ZWQuIENhcHR1cmUgdGhlXG4gICAgLy8gaXRlbSB0aGF0IGlzIGN1cnJlbnRseSBhdCB0aGUgdG9wIG9mIHRoZSB2aWV3cG9ydCwgYXMgd2VsbCBhcyBob3cgZmFyIGludG8gaXQgdGhlIHVzZXIgaGFzXG4gICAgLy8gc2Nyb2xsZWQsIHNvIHRoYXQgd2UgY2FuIGtlZXAgaXQgaW4gdGhlIHNhbWUgcGxhY2Ugb25jZSB0aGUgb2Zmc2V0cyBoYXZlIHNoaWZ0ZWQuIE5vdGUgdGhhdFxuICAgIC8vIHRoZSBvZmZzZXRzIGFyZSBzdGlsbCBiYXNlZCBvbiB0aGUgcHJldmlvdXMgbWVhc3VyZW1lbnRzIGF0IHRoaXMgcG9pbnQuXG4gICAgY29uc3Qgc2Nyb2xsT2Zmc2V0ID0gdmlld3BvcnQubWVhc3VyZVNjcm9sbE9mZnNldCgpO1xuICAgIGNvbnN0IGFuY2hvckluZGV4ID0gdGhpcy5fZ2V0SW5kZXhBdE9mZnNldChzY3JvbGxPZmZzZXQpO1xuICAgIGNvbnN0IGFuY2hvckRlbHRhID0gc2Nyb2xsT2Zmc2V0IC0gdGhpcy5fZ2V0T2Zmc2V0KGFuY2hvckluZGV4KTtcblxuICAgIHRoaXMuX3VwZGF0ZU1lYXN1cmVkU3VtcyhmaXJzdENoYW5nZWRJbmRleCk7XG4gICAgdGhpcy5fdXBkYXRlVG90YWxDb250ZW50U2l6ZSgpO1xuICAgIHZpZXdwb3J0LnNldFJlbmRlcmVkQ29udGVudE9mZnNldCh0aGlzLl9nZXRPZmZzZXQodmlld3BvcnQuZ2V0UmVuZGVyZWRSYW5nZSgpLnN0YXJ0KSk7XG5cbiAgICBjb25zdCBuZXdTY3JvbGxPZmZzZXQgPSB0aGlzLl9nZXRPZmZzZXQoYW5jaG9ySW5kZXgpICsgYW5jaG9yRGVsdGE7XG5cbiAgICBpZiAobmV3U2Nyb2xsT2Zmc2V0ICE9PSBzY3JvbGxPZmZzZXQpIHtcbiAgICAgIHZpZXdwb3J0LnNjcm9sbFRvT2Zmc2V0KG5ld1Njcm9sbE9mZnNldCk7XG4gICAgfVxuXG4gICAgLy8gTm93IHRoYXQgd2Uga25vdyB0aGUgcmVhbCBzaXplIG9mIHRoZSByZW5kZXJlZCBpdGVtcywgd2UgbWF5IGhhdmUgdG8gcmVuZGVyIG1vcmUgb2YgdGhlbS5cbiAgICB0aGlzLl91cGRhdGVSZW5kZXJlZFJhbmdlKCk7XG4gIH1cblxuICAvKiogQGRvY3MtcHJpdmF0ZSBJbXBsZW1lbnRlZCBhcyBwYXJ0IG9mIFZpcnR1YWxTY3JvbGxTdHJhdGVneS4gKi9cbiAgb25SZW5kZXJlZE9mZnNldENoYW5nZWQoKSB7IC8qIG5vLW9wICovIH1cblxuICAvKipcbiAgICogU2Nyb2xsIHRvIHRoZSBvZmZzZXQgZm9yIHRoZSBnaXZlbiBpbmRleC5cbiAgICogQHBhcmFtIGluZGV4IFRoZSBpbmRleCBvZiB0aGUgZWxlbWVudCB0byBzY3JvbGwgdG8uXG4gICAqIEBwYXJhbSBiZWhhdmlvciBUaGUgU2Nyb2xsQmVoYXZpb3IgdG8gdXNlIHdoZW4gc2Nyb2xsaW5nLlxuICAgKi9cbiAgc2Nyb2xsVG9JbmRleChpbmRleDogbnVtYmVyLCBiZWhhdmlvcjogU2Nyb2xsQmVoYXZpb3IpOiB2b2lkIHtcbiAgICBpZiAodGhpcy5fdmlld3BvcnQpIHtcbiAgICAgIHRoaXMuX3ZpZXdwb3J0LnNjcm9sbFRvT2Zmc2V0KHRoaXMuX2dldE9mZnNldChpbmRleCksIGJlaGF2aW9yKTtcbiAgICB9XG4gIH1cblxuICAvKiogR2V0cyB0aGUgc2l6ZSB0aGF0IHNob3VsZCBiZSBhc3N1bWVkIGZvciBhbiBpdGVtIHRoYXQgaGFzbid0IGJlZW4gbWVhc3VyZWQuICovXG4gIHByaXZhdGUgX2dldEVzdGltYXRlZEl0ZW1TaXplKCkge1xuICAgIGNvbnN0IGxhc3RJbmRleCA9IHRoaXMuX21lYXN1cmVkQ291bnRzLmxlbmd0aCAtIDE7XG4gICAgY29uc3QgbWVhc3VyZWRDb3VudCA9IHRoaXMuX21lYXN1cmVkQ291bnRzW2xhc3RJbmRleF07XG4gICAgcmV0dXJuIG1lYXN1cmVkQ291bnQgP1xuICAgICAgICB0aGlzLl9tZWFzdXJlZFNpemVTdW1zW2xhc3RJbmRleF0gLyBtZWFzdXJlZENvdW50IDogdGhpcy5faXRlbVNpemVFc3RpbWF0ZTtcbiAgfVxuXG4gIC8qKiBHZXRzIHRoZSBvZmZzZXQgZnJvbSB0aGUgc3RhcnQgb2YgdGhlIGNvbnRlbnQgdG8gdGhlIHN0YXJ0IG9mIHRoZSBpdGVtIGF0IGFuIGluZGV4LiAqL1xuICBwcml2YXRlIF9nZXRPZmZzZXQoaW5kZXg6IG51bWJlcikge1xuICAgIGluZGV4ID0gTWF0aC5tYXgoMCwgTWF0aC5taW4oaW5kZXgsIHRoaXMuX21lYXN1cmVkQ291bnRzLmxlbmd0aCAtIDEpKTtcblxuICAgIC8vIFRoZSBvZmZzZXQgaXMgbWFkZSB1cCBvZiB0aGUgc2l6ZXMgb2YgdGhlIG1lYXN1cmVkIGl0ZW1zIGJlZm9yZSB0aGUgaW5kZXgsIHBsdXMgdGhlXG4gICAgLy8gZXN0aW1hdGVkIHNpemVzIG9mIHRoZSByZXN0LiBDb21wdXRpbmcgaXQgb24gZGVtYW5kIG1lYW5zIHRoYXQgd2UgZG9uJ3QgaGF2ZSB0b1xuICAgIC8vIHJlY2FsY3VsYXRlIGFsbCBvZiB0aGUgb2Zmc2V0cyB3aGVuZXZlciBhIG1lYXN1cmVtZW50IGNoYW5nZXMgdGhlIGVzdGltYXRlZCBzaXplLlxuICAgIHJldHVybiB0aGlzLl9tZWFzdXJlZFNpemVTdW1zW2luZGV4XSArXG4gICAgICAgIChpbmRleCAtIHRoaXMuX21lYXN1cmVkQ291bnRzW2luZGV4XSkgKiB0aGlzLl9nZXRFc3RpbWF0ZWRJdGVtU2l6ZSgpO1xuICB9XG5cbiAgLyoqIEdldHMgdGhlIGluZGV4IG9mIHRoZSBpdGVtIHRoYXQgaXMgcmVuZGVyZWQgYXQgYSBwYXJ0aWN1bGFyIG9mZnNldC4gKi9cbiAgcHJpdmF0ZSBfZ2V0SW5kZXhBdE9mZnNldChvZmZzZXQ6IG51bWJlcikge1xuICAgIGxldCBzdGFydCA9IDA7XG4gICAgbGV0IGVuZCA9IE1hdGgubWF4KDAsIHRoaXMuX21lYXN1cmVkQ291bnRzLmxlbmd0aCAtIDIpO1xuXG4gICAgLy8gVGhlIG9mZnNldHMgYXJlIGFsd2F5cyBzb3J0ZWQgc28gd2UgY2FuIGRvIGEgYmluYXJ5IHNlYXJjaCBmb3IgdGhlXG4gICAgLy8gbGFzdCBpdGVtIHRoYXQgc3RhcnRzIGF0IG9yIGJlZm9yZSB0aGUgc3BlY2lmaWVkIG9mZnNldC5cbiAgICB3aGlsZSAoc3RhcnQgPCBlbmQpIHtcbiAgICAgIGNvbnN0IG1pZGRsZSA9IE1hdGguY2VpbCgoc3RhcnQgKyBlbmQpIC8gMik7XG5cbiAgICAgIGlmICh0aGlzLl9nZXRPZmZzZXQobWlkZGxlKSA8PSBvZmZzZXQpIHtcbiAgICAgICAgc3RhcnQgPSBtaWRkbGU7XG4gICAgICB9IGVsc2Uge1xuICAgICAgICBlbmQgPSBtaWRkbGUgLSAxO1xuICAgICAgfVxuICAgIH1cblxuICAgIHJldHVybiBzdGFydDtcbiAgfVxuXG4gIC8qKlxuICAgKiBNZWFzdXJlcyBhbGwgb2YgdGhlIGl0ZW1zIHRoYXQgYXJlIGN1cnJlbnRseSByZW5kZXJlZCBhbmQgY2FjaGVzIHRoZWlyIHNpemVzLlxuICAgKiBAcmV0dXJucyBJbmRleCBvZiB0aGUgZmlyc3QgaXRlbSB3aG9zZSBzaXplIGNoYW5nZWQsIG9yIC0xIGlmIG5vbmUgb2YgdGhlbSBjaGFuZ2VkLlxuICAgKi9cbiAgcHJpdmF0ZSBfbWVhc3VyZVJlbmRlcmVkSXRlbXMoKTogbnVtYmVyIHtcbiAgICBjb25zdCB2aWV3cG9ydCA9IHRoaXMuX3ZpZXdwb3J0ITtcbiAgICBjb25zdCByYW5nZSA9IHZpZXdwb3J0LmdldFJlbmRlcmVkUmFuZ2UoKTtcbiAgICBjb25zdCBlbmQgPSBNYXRoLm1pbihyYW5nZS5lbmQsIHRoaXMuX2l0ZW1TaXplcy5sZW5ndGgpO1xuICAgIGxldCBmaXJzdENoYW5nZWRJbmRleCA9IC0xO1xuXG4gICAgZm9yIChsZXQgaSA9IHJhbmdlLnN0YXJ0OyBpIDwgZW5kOyBpKyspIHtcbiAgICAgIGNvbnN0IHNpemUgPSB2aWV3cG9ydC5tZWFzdXJlUmFuZ2VTaXplKHtzdGFydDogaSwgZW5kOiBpICsgMX0pO1xuXG4gICAgICBpZiAodGhpcy5faXRlbVNpemVzW2ldICE9PSBzaXplKSB7XG4gICAgICAgIHRoaXMuX2l0ZW1TaXplc1tpXSA9IHNpemU7XG5cbiAgICAgICAgaWYgKGZpcnN0Q2hhbmdlZEluZGV4ID09PSAtMSkge1xuICAgICAgICAgIGZpcnN0Q2hhbmdlZEluZGV4ID0gaTtcbiAgICAgICAgfVxuICAgICAgfVxuICAgIH1cblxuICAgIHJldHVybiBmaXJzdENoYW5nZWRJbmRleDtcbiAgfVxuXG4gIC8qKlxuICAgKiBSZWFkcyB0aGUgaWRlbnRpdGllcyBvZiB0aGUgaXRlbXMgaW4gdGhlIGRhdGEgYW5kIG1vdmVzIHRoZWlyIG1lYXN1cmVkIHNpemVzIHRvIHRoZWlyIG5ld1xuICAgKiBpbmRleGVzLiBNZWFzdXJlbWVudHMgb2YgaXRlbXMgdGhhdCBhcmUgbm8gbG9uZ2VyIGluIHRoZSBkYXRhIGFyZSBkcm9wcGVkLlxuICAgKi9cbiAgcHJpdmF0ZSBfc3luY0l0ZW1LZXlzKCkge1xuICAgIGNvbnN0IHZpZXdwb3J0ID0gdGhpcy5fdmlld3BvcnQhO1xuICAgIGNvbnN0IGRhdGFMZW5ndGggPSB2aWV3cG9ydC5nZXREYXRhTGVuZ3RoKCk7XG4gICAgY29uc3QgcHJldmlvdXNLZXlzID0gdGhpcy5faXRlbUtleXM7XG4gICAgY29uc3QgcHJldmlvdXNTaXplcyA9IHRoaXMuX2l0ZW1TaXplcztcbiAgICBjb25zdCBrZXlzOiBhbnlbXSA9IFtdO1xuICAgIGNvbnN0IHNpemVzOiAobnVtYmVyIHwgdW5kZWZpbmVkKVtdID0gW107XG4gICAgbGV0IHJlbWFpbmluZ1NpemVzOiBNYXA8YW55LCAobnVtYmVyIHwgdW5kZWZpbmVkKVtdPiB8IG51bGwgPSBudWxsO1xuICAgIGxldCBmaXJzdENoYW5nZWRJbmRleCA9IC0xO1xuXG4gICAgZm9yIChsZXQgaSA9IDA7IGkgPCBkYXRhTGVuZ3RoOyBpKyspIHtcbiAgICAgIGNvbnN0IGtleSA9IHZpZXdwb3J0LmdldEl0ZW1LZXkoaSk7XG4gICAgICBrZXlzLnB1c2goa2V5KTtcblxuICAgICAgLy8gSXRlbXMgdGhhdCBoYXZlbid0IG1vdmVkIGtlZXAgdGhlaXIgbWVhc3VyZW1lbnQuXG4gICAgICBpZiAoIXJlbWFpbmluZ1NpemVzICYmIHByZXZpb3VzS2V5c1tpXSA9PT0ga2V5ICYmIGkgPCBwcmV2aW91c0tleXMubGVuZ3RoKSB7XG4gICAgICAgIHNpemVzLnB1c2gocHJldmlvdXNTaXplc1tpXSk7XG4gICAgICAgIGNvbnRpbnVlO1xuICAgICAgfVxuXG4gICAgICBpZiAoIXJlbWFpbmluZ1NpemVzKSB7XG4gICAgICAgIGZpcnN0Q2hhbmdlZEluZGV4ID0gaTtcbiAgICAgICAgcmVtYWluaW5nU2l6ZXMgPSBuZXcgTWFwPGFueSwgKG51bWJlciB8IHVuZGVmaW5lZClbXT4oKTtcblxuICAgICAgICAvLyBDb2xsZWN0IHRoZSByZXN0IG9mIHRoZSBtZWFzdXJlbWVudHMgaW4gcmV2ZXJzZSwgc28gdGhhdCBpdGVtcyB3aXRoIHRoZSBzYW1lIGtleVxuICAgICAgICAvLyAoZS5nLiBwcmltaXRpdmVzIHdpdGhvdXQgYSBgdHJhY2tCeWAgZnVuY3Rpb24pIGdldCB0aGVtIGJhY2sgaW4gdGhlaXIgb3JpZ2luYWwgb3JkZXIuXG4gICAgICAgIGZvciAobGV0IGogPSBwcmV2aW91c0tleXMubGVuZ3RoIC0gMTsgaiA+PSBpOyBqLS0pIHtcbiAgICAgICAgICBjb25zdCBxdWV1ZSA9IHJlbWFpbmluZ1NpemVzLmdldChwcmV2aW91c0tleXNbal0pO1xuXG4gICAgICAgICAgaWYgKHF1ZXVlKSB7XG4gICAgICAgICAgICBxdWV1ZS5wdXNoKHByZXZpb3VzU2l6ZXNbal0pO1xuICAgICAgICAgIH0gZWxzZSB7XG4gICAgICAgICAgICByZW1haW5pbmdTaXplcy5zZXQocHJldmlvdXNLZXlzW2pdLCBbcHJldmlvdXNTaXplc1tqXV0pO1xuICAgICAgICAgIH1cbiAgICAgICAgfVxuICAgICAgfVxuXG4gICAgICBjb25zdCBxdWV1ZSA9IHJlbWFpbmluZ1NpemVzLmdldChrZXkpO1xuICAgICAgc2l6ZXMucHVzaChxdWV1ZSAmJiBxdWV1ZS5sZW5ndGggPyBxdWV1ZS5wb3AoKSA6IHVuZGVmaW5lZCk7XG4gICAgfVxuXG4gICAgdGhpcy5faXRlbUtleXMgPSBrZXlzO1xuICAgIHRoaXMuX2l0ZW1TaXplcyA9IHNpemVzO1xuICAgIHRoaXMuX3VwZGF0ZU1lYXN1cmVkU3VtcyhmaXJzdENoYW5nZWRJbmRleCA9PT0gLTEgPyBkYXRhTGVuZ3RoIDogZmlyc3RDaGFuZ2VkSW5kZXgpO1xuICB9XG5cbiAgLyoqXG4gICAqIFJlY2FsY3VsYXRlcyB0aGUgY29tYmluZWQgc2l6ZXMgb2YgdGhlIG1lYXN1cmVkIGl0ZW1zLCBzdGFydGluZyBmcm9tIGEgc3BlY2lmaWMgaW5kZXguXG4gICAqIEBwYXJhbSBmcm9tSW5kZXggSW5kZXggb2YgdGhlIGZpcnN0IGl0ZW0gd2hvc2UgbWVhc3VyZW1lbnQgY2hhbmdlZC5cbiAgICovXG4gIHByaXZhdGUgX3VwZGF0ZU1lYXN1cmVkU3Vtcyhmcm9tSW5kZXg6IG51bWJlcikge1xuICAgIGNvbnN0IHNpemVzID0gdGhpcy5faXRlbVNpemVzO1xuICAgIGNvbnN0IHN1bXMgPSB0aGlzLl9tZWFzdXJlZFNpemVTdW1zO1xuICAgIGNvbnN0IGNvdW50cyA9IHRoaXMuX21lYXN1cmVkQ291bnRzO1xuXG4gICAgc3Vtcy5sZW5ndGggPSBjb3VudHMubGVuZ3RoID0gc2l6ZXMubGVuZ3RoICsgMTtcblxuICAgIGZvciAobGV0IGkgPSBmcm9tSW5kZXg7IGkgPCBzaXplcy5sZW5ndGg7IGkrKykge1xuICAgICAgY29uc3Qgc2l6ZSA9IHNpemVzW2ldO1xuICAgICAgc3Vtc1tpICsgMV0gPSBzdW1zW2ldICsgKHNpemUgPT09IHVuZGVmaW5lZCA/IDAgOiBzaXplKTtcbiAgICAgIGNvdW50c1tpICsgMV0gPSBjb3VudHNbaV0gKyAoc2l6ZSA9PT0gdW5kZWZpbmVkID8gMCA6IDEpO1xuICAgIH1cbiAgfVxuXG4gIC8qKiBVcGRhdGUgdGhlIHZpZXdwb3J0J3MgdG90YWwgY29udGVudCBzaXplLiAqL1xuICBwcml2YXRlIF91cGRhdGVUb3RhbENvbnRlbnRTaXplKCkge1xuICAgIGlmICghdGhpcy5fdmlld3BvcnQpIHtcbiAgICAgIHJldHVybjtcbiAgICB9XG5cbiAgICB0aGlzLl92aWV3cG9ydC5zZXRUb3RhbENvbnRlbnRTaXplKHRoaXMuX2dldE9mZnNldCh0aGlzLl9pdGVtU2l6ZXMubGVuZ3RoKSk7XG4gIH1cblxuICAvKiogVXBkYXRlIHRoZSB2aWV3cG9ydCdzIHJlbmRlcmVkIHJhbmdlLiAqL1xuICBwcml2YXRlIF91cGRhdGVSZW5kZXJlZFJhbmdlKCkge1xuICAgIGlmICghdGhpcy5fdmlld3BvcnQpIHtcbiAgICAgIHJldHVybjtcbiAgICB9XG5cbiAgICBjb25zdCB2aWV3cG9ydCA9IHRoaXMuX3ZpZXdwb3J0O1xuICAgIGNvbnN0IHJlbmRlcmVkUmFuZ2UgPSB2aWV3cG9ydC5nZXRSZW5kZXJlZFJhbmdlKCk7XG4gICAgY29uc3Qgdmlld3BvcnRTaXplID0gdmlld3BvcnQuZ2V0Vmlld3BvcnRTaXplKCk7XG4gICAgY29uc3QgZGF0YUxlbmd0aCA9IHZpZXdwb3J0LmdldERhdGFMZW5ndGgoKTtcbiAgICBjb25zdCBzY3JvbGxPZmZzZXQgPSB2aWV3cG9ydC5tZWFzdXJlU2Nyb2xsT2Zmc2V0KCk7XG4gICAgY29uc3QgZmlyc3RWaXNpYmxlSW5kZXggPSB0aGlzLl9nZXRJbmRleEF0T2Zmc2V0KHNjcm9sbE9mZnNldCk7XG4gICAgY29uc3Qgc3RhcnRCdWZmZXIgPSBzY3JvbGxPZmZzZXQgLSB0aGlzLl9nZXRPZmZzZXQocmVuZGVyZWRSYW5nZS5zdGFydCk7XG4gICAgY29uc3QgZW5kQnVmZmVyID0gdGhpcy5fZ2V0T2Zmc2V0KHJlbmRlcmVkUmFuZ2UuZW5kKSAtIChzY3JvbGxPZmZzZXQgKyB2aWV3cG9ydFNpemUpO1xuICAgIGxldCBuZXdSYW5nZSA9IHtzdGFydDogcmVuZGVyZWRSYW5nZS5zdGFydCwgZW5kOiByZW5kZXJlZFJhbmdlLmVuZH07XG5cbiAgICAvLyBSZS1jYWxjdWxhdGUgdGhlIHJhbmdlIGlmIHdlJ3ZlIHJ1biBvdXQgb2YgYnVmZmVyIG9uIGVpdGhlciBzaWRlLCBvciBpZiB0aGUgZGF0YSB3YXNcbiAgICAvLyBjaGFuZ2VkIGluIGEgd2F5IHRoYXQgbGVhdmVzIHRoZSByZW5kZXJlZCByYW5nZSBiZXlvbmQgdGhlIGVuZCBvZiB0aGUgbGlzdC5cbiAgICBpZiAoKHN0YXJ0QnVmZmVyIDwgdGhpcy5fbWluQnVmZmVyUHggJiYgcmVuZGVyZWRSYW5nZS5zdGFydCAhPSAwKSB8fFxuICAgICAgICAoZW5kQnVmZmVyIDwgdGhpcy5fbWluQnVmZmVyUHggJiYgcmVuZGVyZWRSYW5nZS5lbmQgIT0gZGF0YUxlbmd0aCkgfHxcbiAgICAgICAgcmVuZGVyZWRSYW5nZS5lbmQgPiBkYXRhTGVuZ3RoKSB7XG4gICAgICBuZXdSYW5nZSA9IHtcbiAgICAgICAgc3RhcnQ6IHRoaXMuX2dldEluZGV4QXRPZmZzZXQoTWF0aC5tYXgoMCwgc2Nyb2xsT2Zmc2V0IC0gdGhpcy5fbWF4QnVmZmVyUHgpKSxcbiAgICAgICAgZW5kOiBNYXRoLm1pbihkYXRhTGVuZ3RoLFxuICAgICAgICAgICAgdGhpcy5fZ2V0SW5kZXhBdE9mZnNldChzY3JvbGxPZmZzZXQgKyB2aWV3cG9ydFNpemUgKyB0aGlzLl9tYXhCdWZmZXJQeCkgKyAxKVxuICAgICAgfTtcbiAgICB9XG5cbiAgICB2aWV3cG9ydC5zZXRSZW5kZXJlZFJhbmdlKG5ld1JhbmdlKTtcbiAgICB2aWV3cG9ydC5zZXRSZW5kZXJlZENvbnRlbnRPZmZzZXQodGhpcy5fZ2V0T2Zmc2V0KG5ld1JhbmdlLnN0YXJ0KSk7XG4gICAgdGhpcy5fc2Nyb2xsZWRJbmRleENoYW5nZS5uZXh0KGZpcnN0VmlzaWJsZUluZGV4KTtcbiAgfVxufVxuXG5cbi8qKlxuICogUHJvdmlkZXIgZmFjdG9yeSBmb3IgYEF1dG9TaXplVmlydHVhbFNjcm9sbFN0cmF0ZWd5YCB0aGF0IHNpbXBseSBleHRyYWN0cyB0aGUgYWxyZWFkeSBjcmVhdGVkXG4gKiBgQXV0b1NpemVWaXJ0dWFsU2Nyb2xsU3RyYXRlZ3lgIGZyb20gdGhlIGdpdmVuIGRpcmVjdGl2ZS5cbiAqIEBwYXJhbSBhdXRvU2l6ZURpciBUaGUgaW5zdGFuY2Ugb2YgYENka0F1dG9TaXplVmlydHVhbFNjcm9sbGAgdG8gZXh0cmFjdCB0aGVcbiAqICAgICBgQXV0b1NpemVWaXJ0dWFsU2Nyb2xsU3RyYXRlZ3lgIGZyb20uXG4gKi9cbmV4cG9ydCBmdW5jdGlvbiBfYXV0b1NpemVWaXJ0dWFsU2Nyb2xsU3RyYXRlZ3lGYWN0b3J5KGF1dG9TaXplRGlyOiBDZGtBdXRvU2l6ZVZpcnR1YWxTY3JvbGwpIHtcbiAgcmV0dXJuIGF1dG9TaXplRGlyLl9zY3JvbGxTdHJhdGVneTtcbn1cblxuXG4vKiogQSB2aXJ0dWFsIHNjcm9sbCBzdHJhdGVneSB0aGF0IHN1cHBvcnRzIGl0ZW1zIG9mIHVua25vd24gb3IgdmFyeWluZyBzaXplLiAqL1xuQERpcmVjdGl2ZSh7XG4gIHNlbGVjdG9yOiAnY2RrLXZpcnR1YWwtc2Nyb2xsLXZpZXdwb3J0W2F1dG9zaXplXScsXG4gIHByb3ZpZGVyczogW3tcbiAgICBwcm92aWRlOiBWSVJUVUFMX1NDUk9MTF9TVFJBVEVHWSxcbiAgICB1c2VGYWN0b3J5OiBfYXV0b1NpemVWaXJ0dWFsU2Nyb2xsU3RyYXRlZ3lGYWN0b3J5LFxuICAgIGRlcHM6IFtmb3J3YXJkUmVmKCgpID0+IENka0F1dG9TaXplVmlydHVhbFNjcm9sbCldLFxuICB9XSxcbn0pXG5leHBvcnQgY2xhc3MgQ2RrQXV0b1NpemVWaXJ0dWFsU2Nyb2xsIGltcGxlbWVudHMgT25DaGFuZ2VzIHtcbiAgLyoqXG4gICAqIFRoZSBzaXplIChpbiBwaXhlbHMpIHRvIGFzc3VtZSBmb3IgaXRlbXMgdGhhdCBoYXZlbid0IGJlZW4gcmVuZGVyZWQgeWV0LCBiZWZvcmUgYW55IGl0ZW1zIGhhdmVcbiAgICogYmVlbiBtZWFzdXJlZC4gT25jZSBpdGVtcyBhcmUgbWVhc3VyZWQsIHRoZWlyIGF2ZXJhZ2Ugc2l6ZSBpcyB1c2VkIGluc3RlYWQuIERlZmF1bHRzIHRvIDUwcHguXG4gICAqL1xuICBASW5wdXQoKVxuICBnZXQgaXRlbVNpemVFc3RpbWF0ZSgpOiBudW1iZXIgeyByZXR1cm4gdGhpcy5faXRlbVNpemVFc3RpbWF0ZTsgfVxuICBzZXQgaXRlbVNpemVFc3RpbWF0ZSh2YWx1ZTogbnVtYmVyKSB7IHRoaXMuX2l0ZW1TaXplRXN0aW1hdGUgPSBjb2VyY2VOdW1iZXJQcm9wZXJ0eSh2YWx1ZSk7IH1cbiAgX2l0ZW1TaXplRXN0aW1hdGUgPSA1MDtcblxuICAvKipcbiAgICogVGhlIG1pbmltdW0gYW1vdW50IG9mIGJ1ZmZlciByZW5kZXJlZCBiZXlvbmQgdGhlIHZpZXdwb3J0IChpbiBwaXhlbHMpLlxuICAgKiBJZiB0aGUgYW1vdW50IG9mIGJ1ZmZlciBkaXBzIGJlbG93IHRoaXMgbnVtYmVyLCBtb3JlIGl0ZW1zIHdpbGwgYmUgcmVuZGVyZWQuIERlZmF1bHRzIHRvIDEwMHB4LlxuICAgKi9cbiAgQElucHV0KClcbiAgZ2V0IG1pbkJ1ZmZlclB4KCk6IG51bWJlciB7IHJldHVybiB0aGlzLl9taW5CdWZmZXJQeDsgfVxuICBzZXQgbWluQnVmZmVyUHgodmFsdWU6IG51bWJlcikgeyB0aGlzLl9taW5CdWZmZXJQeCA9IGNvZXJjZU51bWJlclByb3BlcnR5KHZhbHVlKTsgfVxuICBfbWluQnVmZmVyUHggPSAxMDA7XG5cbiAgLyoqXG4gICAqIFRoZSBudW1iZXIgb2YgcGl4ZWxzIHdvcnRoIG9mIGJ1ZmZlciB0byByZW5kZXIgZm9yIHdoZW4gcmVuZGVyaW5nIG5ldyBpdGVtcy4gRGVmYXVsdHMgdG8gMjAwcHguXG4gICAqL1xuICBASW5wdXQoKVxuICBnZXQgbWF4QnVmZmVyUHgoKTogbnVtYmVyIHsgcmV0dXJuIHRoaXMuX21heEJ1ZmZlclB4OyB9XG4gIHNldCBtYXhCdWZmZXJQeCh2YWx1ZTogbnVtYmVyKSB7IHRoaXMuX21heEJ1ZmZlclB4ID0gY29lcmNlTnVtYmVyUHJvcGVydHkodmFsdWUpOyB9XG4gIF9tYXhCdWZmZXJQeCA9IDIwMDtcblxuICAvKiogVGhlIHNjcm9sbCBzdHJhdGVneSB1c2VkIGJ5IHRoaXMgZGlyZWN0aXZlLiAqL1xuICBfc2Nyb2xsU3RyYXRlZ3kgPSBuZXcgQXV0b1NpemVWaXJ0dWFsU2Nyb2xsU3RyYXRlZ3koXG4gICAgICB0aGlzLml0ZW1TaXplRXN0aW1hdGUsIHRoaXMubWluQnVmZmVyUHgsIHRoaXMubWF4QnVmZmVyUHgpO1xuXG4gIG5nT25DaGFuZ2VzKCkge1xuICAgIHRoaXMuX3Njcm9sbFN0cmF0ZWd5LnVwZGF0ZUl0ZW1TaXplRXN0aW1hdGVBbmRCdWZmZXJTaXplKFxuICAgICAgICB0aGlzLml0ZW1TaXplRXN0aW1hdGUsIHRoaXMubWluQnVmZmVyUHgsIHRoaXMubWF4QnVmZmVyUHgpO1xuICB9XG5cbiAgc3RhdGljIG5nQWNjZXB0SW5wdXRUeXBlX2l0ZW1TaXplRXN0aW1hdGU6IE51bWJlcklucHV0O1xuICBzdGF0aWMgbmdBY2NlcHRJbnB1dFR5cGVfbWluQnVmZmVyUHg6IE51bWJlcklucHV0O1xuICBzdGF0aWMgbmdBY2NlcHRJbnB1dFR5cGVfbWF4QnVmZmVyUHg6IE51bWJlcklucHV0O1xufVxuIl19
\ No newline at end of file
@@ -0,0 +1,207 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { coerceNumberProperty } from '@angular/cdk/coercion';
+import { Directive, forwardRef, Input } from '@angular/core';
+import { FixedSizeVirtualScrollStrategy } from './fixed-size-virtual-scroll';
+import { VIRTUAL_SCROLL_STRATEGY } from './virtual-scroll-strategy';
+/**
+ * Virtual scrolling strategy for two-dimensional grids where all rows have the same fixed height
+ * and all columns have the same fixed width. The rows are rendered using `cdkVirtualFor` and the
+ * columns inside each row are rendered using `cdkVirtualColumnFor`.
+ */
+export class FixedSizeVirtualGridStrategy {
+    /**
+     * @param rowHeight The height of the rows in the grid.
+     * @param columnWidth The width of the columns in the grid.
+     * @param columnCount The total number of columns in the grid.
+     * @param minBufferPx The minimum amount of buffer (in pixels) before needing to render more
+     * @param maxBufferPx The amount of buffer (in pixels) to render when rendering more.
+     */
+    constructor(rowHeight, columnWidth, columnCount, minBufferPx, maxBufferPx) {
+        /** The attached viewport. */
+        this._viewport = null;
+        this._rowHeight = rowHeight;
+        this._columnWidth = columnWidth;
+        this._columnCount = columnCount;
+        this._minBufferPx = minBufferPx;
+        this._maxBufferPx = maxBufferPx;
+        this._rowStrategy = new FixedSizeVirtualScrollStrategy(rowHeight, minBufferPx, maxBufferPx);
+        this.scrolledIndexChange = this._rowStrategy.scrolledIndexChange;
+    }
+    /**
+     * Attaches this scroll strategy to a viewport.
+     * @param viewport The viewport to attach this strategy to.
+     */
+    attach(viewport) {
+        if (viewport.orientation === 'horizontal' && (typeof ngDevMode === 'undefined' || ngDevMode)) {
+            throw Error('CDK virtual scroll: virtual grids require a vertical viewport.');
+        }
+        this._viewport = viewport;
+        this._rowStrategy.attach(viewport);
+        this._updateTotalColumnContentSize();
+        this._updateRenderedColumnRange();
+    }
+    /** Detaches this scroll strategy from the currently attached viewport. */
+    detach() {
+        this._rowStrategy.detach();
+        this._viewport = null;
+    }
+    /**
+     * Update the cell size, number of columns and buffer size.
+     * @param rowHeight The height of the rows in the grid.
+     * @param columnWidth The width of the columns in the grid.
+     * @param columnCount The total number of columns in the grid.
+     * @param minBufferPx The minimum amount of buffer (in pixels) before needing to render more
+     * @param maxBufferPx The amount of buffer (in pixels) to render when rendering more.
+     */
+    updateCellAndBufferSize(rowHeight, columnWidth, columnCount, minBufferPx, maxBufferPx) {
+        this._rowStrategy.updateItemAndBufferSize(rowHeight, minBufferPx, maxBufferPx);
+        this._rowHeight = rowHeight;
+        this._columnWidth = columnWidth;
+        this._columnCount = columnCount;
+        this._minBufferPx = minBufferPx;
+        this._maxBufferPx = maxBufferPx;
+        this._updateTotalColumnContentSize();
+        this._updateRenderedColumnRange();
+    }
+    /** @docs-private Implemented as part of VirtualScrollStrategy. */
+    onContentScrolled() {
+        this._rowStrategy.onContentScrolled();
+        this._updateRenderedColumnRange();
+    }
+    /** @docs-private Implemented as part of VirtualScrollStrategy. */
+    onDataLengthChanged() {
+        this._rowStrategy.onDataLengthChanged();
+        this._updateRenderedColumnRange();
+    }
+    /** @docs-private Implemented as part of VirtualScrollStrategy. */
+    onContentRendered() { }
+    /** @docs-private Implemented as part of VirtualScrollStrategy. */
+    onRenderedOffsetChanged() { }
+    /**
+     * Scroll to the offset for the given row.
+     * @param index The index of the row to scroll to.
+     * @param behavior The ScrollBehavior to use when scrolling.
+     */
+    scrollToIndex(index, behavior) {
+        this._rowStrategy.scrollToIndex(index, behavior);
+    }
+    /**
+     * Scroll to the offset for the given cell.
+     * @param row The index of the row to scroll to.
+     * @param column The index of the column to scroll to.
+     * @param behavior The ScrollBehavior to use when scrolling.
+     */
+    scrollToCell(row, column, behavior) {
+        if (this._viewport) {
+            this._viewport.scrollTo({
+                top: row * this._rowHeight,
+                start: column * this._columnWidth,
+                behavior
+            });
+        }
+    }
+    /** Update the viewport's total column content size. */
+    _updateTotalColumnContentSize() {
+        if (this._viewport) {
+            this._viewport.setTotalColumnContentSize(this._columnCount * this._columnWidth);
+        }
+    }
+    /** Update the viewport's rendered range of columns. */
+    _updateRenderedColumnRange() {
+        if (!this._viewport) {
+            return;
+        }
+        const renderedRange = this._viewport.getRenderedColumnRange();
+        const viewportWidth = this._viewport.getViewportWidth();
+        const scrollOffset = this._viewport.measureScrollOffset('start');
+        const columnCount = this._columnCount;
+        const columnWidth = this._columnWidth;
+        const startBuffer = scrollOffset - renderedRange.start * columnWidth;
+        const endBuffer = renderedRange.end * columnWidth - (scrollOffset + viewportWidth);
+        // Only re-render if one of the buffers dips below the minimum, or if the
+        // number of columns changed so that the current range is out of bounds.
+        if ((startBuffer < this._minBufferPx && renderedRange.start != 0) ||
+            (endBuffer < this._minBufferPx && renderedRange.end != columnCount) ||
+            renderedRange.end > columnCount) {
+            // Prevent NaN as result when dividing by zero.
+            const start = columnWidth > 0 ?
+                Math.floor((scrollOffset - this._maxBufferPx) / columnWidth) : 0;
+            const end = columnWidth > 0 ?
+                Math.ceil((scrollOffset + viewportWidth + this._maxBufferPx) / columnWidth) : 0;
+            const newRange = {
+                start: Math.max(0, Math.min(start, columnCount)),
+                end: Math.max(0, Math.min(end, columnCount)),
+            };
+            this._viewport.setRenderedColumnRange(newRange);
+            this._viewport.setRenderedColumnContentOffset(newRange.start * columnWidth);
+        }
+    }
+}
+/**
+ * Provider factory for `FixedSizeVirtualGridStrategy` that simply extracts the already created
+ * `FixedSizeVirtualGridStrategy` from the given directive.
+ * @param gridDir The instance of `CdkFixedSizeVirtualGrid` to extract the
+ *     `FixedSizeVirtualGridStrategy` from.
+ */
+export function _fixedSizeVirtualGridStrategyFactory(gridDir) {
+    return gridDir._scrollStrategy;
+}
+/** A virtual scroll strategy that supports grids with fixed-size rows and columns. */
+export class CdkFixedSizeVirtualGrid {
+    constructor() {
+        this._rowHeight = 20;
+        this._columnWidth = 100;
+        this._columnCount = 0;
+        this._minBufferPx = 100;
+        this._maxBufferPx = 200;
+        /** The scroll strategy used by this directive. */
+        this._scrollStrategy = new FixedSizeVirtualGridStrategy(this.rowHeight, this.columnWidth, this.columnCount, this.minBufferPx, this.maxBufferPx);
+    }
+    /** The height of the rows in the grid (in pixels). */
+    get rowHeight() { return this._rowHeight; }
+    set rowHeight(value) { this._rowHeight = coerceNumberProperty(value); }
+    /** The width of the columns in the grid (in pixels). */
+    get columnWidth() { return this._columnWidth; }
+    set columnWidth(value) { this._columnWidth = coerceNumberProperty(value); }
+    /** The total number of columns in the grid. */
+    get columnCount() { return this._columnCount; }
+    set columnCount(value) { this._columnCount = coerceNumberProperty(value); }
+    /**
+     * The minimum amount of buffer rendered beyond the viewport (in pixels).
+     * If the amount of buffer dips below this number, more cells will be rendered. Defaults to 100px.
+     */
+    get minBufferPx() { return this._minBufferPx; }
+    set minBufferPx(value) { this._minBufferPx = coerceNumberProperty(value); }
+    /**
+     * The number of pixels worth of buffer to render for when rendering new cells. Defaults to 200px.
+     */
+    get maxBufferPx() { return this._maxBufferPx; }
+    set maxBufferPx(value) { this._maxBufferPx = coerceNumberProperty(value); }
+    ngOnChanges() {
+        this._scrollStrategy.updateCellAndBufferSize(this.rowHeight, this.columnWidth, this.columnCount, this.minBufferPx, this.maxBufferPx);
+    }
+}
+CdkFixedSizeVirtualGrid.decorators = [
+    { type: Directive, args: [{
+                selector: 'cdk-virtual-scroll-viewport[rowHeight][columnWidth]',
+                providers: [{
+                        provide: VIRTUAL_SCROLL_STRATEGY,
+                        useFactory: _fixedSizeVirtualGridStrategyFactory,
+                        deps: [forwardRef(() => CdkFixedSizeVirtualGrid)],
+                    }],
+            },] }
+];
+CdkFixedSizeVirtualGrid.propDecorators = {
+    rowHeight: [{ type: Input }],
+    columnWidth: [{ type: Input }],
+    columnCount: [{ type: Input }],
+    minBufferPx: [{ type: Input }],
+    maxBufferPx: [{ type: Input }]
+};
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZml4ZWQtc2l6ZS12aXJ0dWFsLWdyaWQuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyIuLi8uLi8uLi8uLi8uLi8uLi9zcmMvY2RrL3Njcm9sbGluZy9maXhlZC1zaXplLXZpcnR1YWwtZ3JpZC50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiQUFBQTs7Ozs7O0dBTUc7QUFFSCxPQUFPLEVBQUMsb0JBQW9CLEVBQWMsTUFBTSx1QkFBdUIsQ0FBQztBQUN4RSxPQUFPLEVBQUMsU0FBUyxFQUFFLFVBQVUsRUFBRSxLQUFLLEVBQVksTUFBTSxlQUFlLENBQUM7QUFFdEUsT0FBTyxFQUFDLDhCQUE4QixFQUFDLE1BQU0sNkJBQTZCLENBQUM7QUFDM0UsT0FBTyxFQUFDLHVCQUF1QixFQUE0QixNQUFNLDJCQUEyQixDQUFDO0FBSTdGOzs7O0dBSUc7QUFDSCxNQUFNLE9BQU8sNEJBQTRCO0lBeUJ2Qzs7Ozs7O09BTUc7SUFDSCxZQUFZLFNBQWlCLEVBQUUsV0FBbUIsRUFBRSxXQUFtQixFQUFFLFdBQW1CLEVBQ2hGLFdBQW1CO1FBMUIvQiw2QkFBNkI7UUFDckIsY0FBUyxHQUFvQyxJQUFJLENBQUM7UUEwQnhELElBQUksQ0FBQyxVQUFVLEdBQUcsU0FBUyxDQUFDO1FBQzVCLElBQUksQ0FBQyxZQUFZLEdBQUcsV0FBVyxDQUFDO1FBQ2hDLElBQUksQ0FBQyxZQUFZLEdBQUcsV0FBVyxDQUFDO1FBQ2hDLElBQUksQ0FBQyxZQUFZLEdBQUcsV0FBVyxDQUFDO1FBQ2hDLElBQUksQ0FBQyxZQUFZLEdBQUcsV0FBVyxDQUFDO1FBQ2hDLElBQUksQ0FBQyxZQUFZLEdBQUcsSUFBSSw4QkFBOEIsQ0FBQyxTQUFTLEVBQUUsV0FBVyxFQUFFLFdBQVcsQ0FBQyxDQUFDO1FBQzVGLElBQUksQ0FBQyxtQkFBbUIsR0FBRyxJQUFJLENBQUMsWUFBWSxDQUFDLG1CQUFtQixDQUFDO0lBQ25FLENBQUM7SUFFRDs7O09BR0c7SUFDSCxNQUFNLENBQUMsUUFBa0M7UUFDdkMsSUFBSSxRQUFRLENBQUMsV0FBVyxLQUFLLFlBQVksSUFBSSxDQUFDLE9BQU8sU0FBUyxLQUFLLFdBQVcsSUFBSSxTQUFTLENBQUMsRUFBRTtZQUM1RixNQUFNLEtBQUssQ0FBQyxnRUFBZ0UsQ0FBQyxDQUFDO1NBQy9FO1FBRUQsSUFBSSxDQUFDLFNBQVMsR0FBRyxRQUFRLENBQUM7UUFDMUIsSUFBSSxDQUFDLFlBQVksQ0FBQyxNQUFNLENBQUMsUUFBUSxDQUFDLENBQUM7UUFDbkMsSUFBSSxDQUFDLDZCQUE2QixFQUFFLENBQUM7UUFDckMsSUFBSSxDQUFDLDBCQUEwQixFQUFFLENBQUM7SUFDcEMsQ0FBQztJQUVELDBFQUEwRTtJQUMxRSxNQUFNO1FBQ0osSUFBSSxDQUFDLFlBQVksQ0FBQyxNQUFNLEVBQUUsQ0FBQztRQUMzQixJQUFJLENBQUMsU0FBUyxHQUFHLElBQUksQ0FBQztJQUN4QixDQUFDO0lBRUQ7Ozs7Ozs7T0FPRztJQUNILHVCQUF1QixDQUFDLFNBQWlCLEVBQUUsV0FBbUIsRUFBRSxXQUFtQixFQUMzRCxXQUFtQixFQUFFLFdBQW1CO1FBQzlELElBQUksQ0FBQyxZQUFZLENBQUMsdUJBQXVCLENBQUMsU0FBUyxFQUFFLFdBQVcsRUFBRSxXQUFXLENBQUMsQ0FBQztRQUMvRSxJQUFJLENBQUMsVUFBVSxHQUFHLFNBQVMsQ0FBQztRQUM1QixJQUFJLENBQUMsWUFBWSxHQUFHLFdBQVcsQ0FBQztRQUNoQyxJQUFJLENBQUMsWUFBWSxHQUFHLFdBQVcsQ0FBQztRQUNoQyxJQUFJLENBQUMsWUFBWSxHQUFHLFdBQVcsQ0FBQztRQUNoQyxJQUFJLENBQUMsWUFBWSxHQUFHLFdBQVcsQ0FBQztRQUNoQyxJQUFJLENBQUMsNkJBQTZCLEVBQUUsQ0FBQztRQUNyQyxJQUFJLENBQUMsMEJBQTBCLEVBQUUsQ0FBQztJQUNwQyxDQUFDO0lBRUQsa0VBQWtFO0lBQ2xFLGlCQUFpQjtRQUNmLElBQUksQ0FBQyxZQUFZLENBQUMsaUJBQWlCLEVBQUUsQ0FBQztRQUN0QyxJQUFJLENBQUMsMEJBQTBCLEVBQUUsQ0FBQztJQUNwQyxDQUFDO0lBRUQsa0VBQWtFO0lBQ2xFLG1CQUFtQjtRQUNqQixJQUFJLENBQUMsWUFBWSxDQUFDLG1CQUFtQixFQUFFLENBQUM7UUFDeEMsSUFBSSxDQUFDLDBCQUEwQixFQUFFLENBQUM7SUFDcEMsQ0FBQztJQUVELGtFQUFrRTtJQUNsRSxpQkFBaUIsS0FBaUIsQ0FBQztJQUVuQyxrRUFBa0U7SUFDbEUsdUJBQXVCLEtBQWlCLENBQUM7SUFFekM7Ozs7T0FJRztJQUNILGFBQWEsQ0FBQyxLQUFhLEVBQUUsUUFBd0I7UUFDbkQsSUFBSSxDQUFDLFlBQVksQ0FBQyxhQUFhLENBQUMsS0FBSyxFQUFFLFFBQVEsQ0FBQyxDQUFDO0lBQ25ELENBQUM7SUFFRDs7Ozs7T0FLRztJQUNILFlBQVksQ0FBQyxHQUFXLEVBQUUsTUFBYyxFQUFFLFFBQXdCO1FBQ2hFLElBQUksSUFBSSxDQUFDLFNBQVMsRUFBRTtZQUNsQixJQUFJLENBQUMsU0FBUyxDQUFDLFFBQVEsQ0FBQztnQkFDdEIsR0FBRyxFQUFFLEdBQUcsR0FBRyxJQUFJLENBQUMsVUFBVTtnQkFDMUIsS0FBSyxFQUFFLE1BQU0sR0FBRyxJQUFJLENBQUMsWUFBWTtnQkFDakMsUUFBUTthQUNULENBQUMsQ0FBQztTQUNKO0lBQ0gsQ0FBQztJQUVELHVEQUF1RDtJQUMvQyw2QkFBNkI7UUFDbkMsSUFBSSxJQUFJLENBQUMsU0FBUyxFQUFFO1lBQ2xCLElBQUksQ0FBQyxTQUFTLENBQUMseUJBQXlCLENBQUMsSUFBSSxDQUFDLFlBQVksR0FBRyxJQUFJLENBQUMsWUFBWSxDQUFDLENBQUM7U0FDakY7SUFDSCxDQUFDO0lBRUQsdURBQXVEO0lBQy9DLDBCQUEwQjtRQUNoQyxJQUFJLENBQUMsSUFBSSxDQUFDLFNBQVMsRUFBRTtZQUNuQixPQUFPO1NBQ1I7UUFFRCxNQUFNLGFBQWEsR0FBRyxJQUFJLENBQUMsU0FBUyxDQUFDLHNCQUFzQixFQUFFLENBQUM7UUFDOUQsTUFBTSxhQUFhLEdBQUcsSUFBSSxDQUFDLFNBQVMsQ0FBQyxnQkFBZ0IsRUFBRSxDQUFDO1FBQ3hELE1BQU0sWUFBWSxHQUFHLElBQUksQ0FBQyxTQUFTLENBQUMsbUJBQW1CLENBQUMsT0FBTyxDQUFDLENBQUM7UUFDakUsTUFBTSxXQUFXLEdBQUcsSUFBSSxDQUFDLFlBQVksQ0FBQztRQUN0QyxNQUFNLFdBQVcsR0FBRyxJQUFJLENBQUMsWUFBWSxDQUFDO1FBQ3RDLE1BQU0sV0FBVyxHQUFHLFlBQVksR0FBRyxhQUFhLENBQUMsS0FBSyxHQUFHLFdBQVcsQ0FBQztRQUNyRSxNQUFNLFNBQVMsR0FBRyxhQUFhLENBQUMsR0FBRyxHQUFHLFdBQVcsR0FBRyxDQUFDLFlBQVksR0FBRyxhQUFhLENBQUMsQ0FBQztRQUVuRix5RUFBeUU7UUFDekUsd0VBQXdFO1FBQ3hFLElBQUksQ0FBQyxXQUFXLEdBQUcsSUFBSSxDQUFDLFlBQVksSUFBSSxhQUFhLENBQUMsS0FBSyxJQUFJLENBQUMsQ0FBQztZQUM3RCxDQUFDLFNBQVMsR0FBRyxJQUFJLENBQUMsWUFBWSxJQUFJLGFBQWEsQ0FBQyxHQUFHLElBQUksV0FBVyxDQUFDO1lBQ25FLGFBQWEsQ0FBQyxHQUFHLEdBQUcsV0FBVyxFQUFFO1lBQ25DLCtDQUErQztZQUMvQyxNQUFNLEtBQUssR0FBRyxXQUFXLEdBQUcsQ0FBQyxDQUFDLENBQUM7Z0JBQzNCLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQyxZQUFZLEdBQUcsSUFBSSxDQUFDLFlBQVksQ0FBQyxHQUFHLFdBQVcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7WUFDckUsTUFBTSxHQUFHLEdBQUcsV0FBVyxHQUFHLENBQUMsQ0FBQyxDQUFDO2dCQUN6QixJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsWUFBWSxHQUFHLGFBQWEsR0FBRyxJQUFJLENBQUMsWUFBWSxDQUFDLEdBQUcsV0FBVyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUNwRixNQUFNLFFBQVEsR0FBRztnQkFDZixLQUFLLEVBQUUsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLEVBQUUsSUFBSSxDQUFDLEdBQUcsQ0FBQyxLQUFLLEVBQUUsV0FBVyxDQUFDLENBQUM7Z0JBQ2hELEdBQUcsRUFBRSxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsRUFBRSxJQUFJLENBQUMsR0FBRyxDQUFDLEdBQUcsRUFBRSxXQUFXLENBQUMsQ0FBQzthQUM3QyxDQUFDO1lBRUYsSUFBSSxDQUFDLFNBQVMsQ0FBQyxzQkFBc0IsQ0FBQyxRQUFRLENBQUMsQ0FBQztZQUNoRCxJQUFJLENBQUMsU0FBUyxDQUFDLDhCQUE4QixDQUFDLFFBQVEsQ0FBQyxLQUFLLEdBQUcsV0FBVyxDQUFDLENBQUM7U0FDN0U7SUFDSCxDQUFDO0NBQ0Y7QUFHRDs7Ozs7R0FLRztBQUNILE1BQU0sVUFBVSxvQ0FBb0MsQ0FBQyxPQUFnQztJQUNuRixPQUFPLE9BQU8sQ0FBQyxlQUFlLENBQUM7QUFDakMsQ0FBQztBQUdELHNGQUFzRjtBQVN0RixNQUFNLE9BQU8sdUJBQXVCO0lBUnBDO1FBYUUsZUFBVSxHQUFHLEVBQUUsQ0FBQztRQU1oQixpQkFBWSxHQUFHLEdBQUcsQ0FBQztRQU1uQixpQkFBWSxHQUFHLENBQUMsQ0FBQztRQVNqQixpQkFBWSxHQUFHLEdBQUcsQ0FBQztRQVFuQixpQkFBWSxHQUFHLEdBQUcsQ0FBQztRQUVuQixrREFBa0Q7UUFDbEQsb0JBQWUsR0FBRyxJQUFJLDRCQUE0QixDQUFDLElBQUksQ0FBQyxTQUFTLEVBQUUsSUFBSSxDQUFDLFdBQVcsRUFDL0UsSUFBSSxDQUFDLFdBQVcsRUFBRSxJQUFJLENBQUMsV0FBVyxFQUFFLElBQUksQ0FBQyxXQUFXLENBQUMsQ0FBQztJQVk1RCxDQUFDO0lBakRDLHNEQUFzRDtJQUN0RCxJQUNJLFNBQVMsS0FBYSxPQUFPLElBQUksQ0FBQyxVQUFVLENBQUMsQ0FBQyxDQUFDO0lBQ25ELElBQUksU0FBUyxDQUFDLEtBQWEsSUFBSSxJQUFJLENBQUMsVUFBVSxHQUFHLG9CQUFvQixDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUcvRSx3REFBd0Q7SUFDeEQsSUFDSSxXQUFXLEtBQWEsT0FBTyxJQUFJLENBQUMsWUFBWSxDQUFDLENBQUMsQ0FBQztJQUN2RCxJQUFJLFdBQVcsQ0FBQyxLQUFhLElBQUksSUFBSSxDQUFDLFlBQVksR0FBRyxvQkFBb0IsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFHbkYsK0NBQStDO0lBQy9DLElBQ0ksV0FBVyxLQUFhLE9BQU8sSUFBSSxDQUFDLFlBQVksQ0FBQyxDQUFDLENBQUM7SUFDdkQsSUFBSSxXQUFXLENBQUMsS0FBYSxJQUFJLElBQUksQ0FBQyxZQUFZLEdBQUcsb0JBQW9CLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBR25GOzs7T0FHRztJQUNILElBQ0ksV0FBVyxLQUFhLE9BQU8sSUFBSSxDQUFDLFlBQVksQ0FBQyxDQUFDLENBQUM7SUFDdkQsSUFBSSxXQUFXLENBQUMsS0FBYSxJQUFJLElBQUksQ0FBQyxZQUFZLEdBQUcsb0JBQW9CLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBR25GOztPQUVHO0lBQ0gsSUFDSSxXQUFXLEtBQWEsT0FBTyxJQUFJLENBQUMsWUFBWSxDQUFDLENBQUMsQ0FBQztJQUN2RCxJQUFJLFdBQVcsQ0FBQyxLQUFhLElBQUksSUFBSSxDQUFDLFlBQVksR0FBRyxvQkFBb0IsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFPbkYsV0FBVztRQUNULElBQUksQ0FBQyxlQUFlLENBQUMsdUJBQXVCLENBQUMsSUFBSSxDQUFDLFNBQVMsRUFBRSxJQUFJLENBQUMsV0FBVyxFQUN6RSxJQUFJLENBQUMsV0FBVyxFQUFFLElBQUksQ0FBQyxXQUFXLEVBQUUsSUFBSSxDQUFDLFdBQVcsQ0FBQyxDQUFDO0lBQzVELENBQUM7OztZQW5ERixTQUFTLFNBQUM7Z0JBQ1QsUUFBUSxFQUFFLHFEQUFxRDtnQkFDL0QsU0FBUyxFQUFFLENBQUM7d0JBQ1YsT0FBTyxFQUFFLHVCQUF1Qjt3QkFDaEMsVUFBVSxFQUFFLG9DQUFvQzt3QkFDaEQsSUFBSSxFQUFFLENBQUMsVUFBVSxDQUFDLEdBQUcsRUFBRSxDQUFDLHVCQUF1QixDQUFDLENBQUM7cUJBQ2xELENBQUM7YUFDSDs7O3dCQUdFLEtBQUs7MEJBTUwsS0FBSzswQkFNTCxLQUFLOzBCQVNMLEtBQUs7MEJBUUwsS0FBSyIsInNvdXJjZXNDb250ZW50IjpbIi8qKlxuICogQGxpY2Vuc2VcbiAqIENvcHlyaWdodCBHb29nbGUgTExDIEFsbCBSaWdodHMgUmVzZXJ2ZWQuXG4gKlxuICogVXNlIG9mIHRoaXMgc291cmNlIGNvZGUgaXMgZ292ZXJuZWQgYnkgYW4gTUlULXN0eWxlIGxpY2Vuc2UgdGhhdCBjYW4gYmVcbiAqIGZvdW5kIGluIHRoZSBMSUNFTlNFIGZpbGUgYXQgaHR0cHM6Ly9hbmd1bGFyLmlvL2xpY2Vuc2VcbiAqL1xuXG5pbXBvcnQge2NvZXJjZU51bWJlclByb3BlcnR5LCBOdW1iZXJJbnB1dH0gZnJvbSAnQGFuZ3VsYXIvY2RrL2NvZXJjaW9uJztcbmltcG9ydCB7RGlyZWN0aXZlLCBmb3J3YXJkUmVmLCBJbnB1dCwgT25DaGFuZ2VzfSBmcm9tICdAYW5ndWxhci9jb3JlJztcbmltcG9ydCB7T2JzZXJ2YWJsZX0gZnJvbSAncnhqcyc7XG5pbXBvcnQge0ZpeGVkU2l6ZVZpcnR1YWxTY3JvbGxTdHJhdGVneX0gZnJvbSAnLi9maXhlZC1zaXplLXZpcnR1YWwtc2Nyb2xsJztcbmltcG9ydCB7VklSVFVBTF9TQ1JPTExfU1RSQVRFR1ksIFZpcnR1YWxTY3JvbGxHcmlkU3RyYXRlZ3l9IGZyb20gJy4vdmlydHVhbC1zY3JvbGwtc3RyYXRlZ3knO1xuaW1wb3J0IHtDZGtWaXJ0dWFsU2Nyb2xsVmlld3BvcnR9IGZyb20gJy4vdmlydHVhbC1zY3JvbGwtdmlld3BvcnQnO1xuXG5cbi8qKlxuICogVmlydHVhbCBzY3JvbGxpbmcgc3RyYXRlZ3kgZm9yIHR3by1kaW1lbnNpb25hbCBncmlkcyB3aGVyZSBhbGwgcm93cyBoYXZlIHRoZSBzYW1lIGZpeGVkIGhlaWdodFxuICogYW5kIGFsbCBjb2x1bW5zIGhhdmUgdGhlIHNhbWUgZml4ZWQgd2lkdGguIFRoZSByb3dzIGFyZSByZW5kZXJlZCB1c2luZyBgY2RrVmlydHVhbEZvcmAgYW5kIHRoZVxuICogY29sdW1ucyBpbnNpZGUgZWFjaCByb3cgYXJlIHJlbmRlcmVkIHVzaW5nIGBjZGtWaXJ0dWFsQ29sdW1uRm9yYC5cbiAqL1xuZXhwb3J0IGNsYXNzIEZpeGVkU2l6ZVZpcnR1YWxHcmlkU3RyYXRlZ3kgaW1wbGVtZW50cyBWaXJ0dWFsU2Nyb2xsR3JpZFN0cmF0ZWd5IHtcbiAgLyoqIFN0cmF0ZWd5IHVzZWQgdG8gdmlydHVhbGl6ZSB0aGUgcm93cyBvZiB0aGUgZ3JpZC4gKi9cbiAgcHJpdmF0ZSBfcm93U3RyYXRlZ3k6IEZpeGVkU2l6ZVZpcnR1YWxTY3JvbGxTdHJhdGVneTtcblxuICAvKiogQGRvY3MtcHJpdmF0ZSBJbXBsZW1lbnRlZCBhcyBwYXJ0IG9mIFZpcnR1YWxTY3JvbGxTdHJhdGVneS4gKi9cbiAgc2Nyb2xsZWRJbmRleENoYW5nZTogT2JzZXJ2YWJsZTxudW1iZXI+O1xuXG4gIC8qKiBUaGUgYXR0YWNoZWQgdmlld3BvcnQuICovXG4gIHByaXZhdGUgX3ZpZXdwb3J0OiBDZGtWaXJ0dWFsU2Nyb2xsVmlld3BvcnQgfCBudWxsID0gbnVsbDtcblxuICAvKiogVGhlIGhlaWdodCBvZiB0aGUgcm93cyBpbiB0aGUgZ3JpZC4gKi9cbiAgcHJpdmF0ZSBfcm93SGVpZ2h0OiBudW1iZXI7XG5cbiAgLyoqIFRoZSB3aWR0aCBvZiB0aGUgY29sdW1ucyBpbiB0aGUgZ3JpZC4gKi9cbiAgcHJpdmF0ZSBfY29sdW1uV2lkdGg6IG51bWJlcjtcblxuICAvKiogVGhlIHRvdGFsIG51bWJlciBvZiBjb2x1bW5zIGluIHRoZSBncmlkLiAqL1xuICBwcml2YXRlIF9jb2x1bW5Db3VudDogbnVtYmVyO1xuXG4gIC8qKiBUaGUgbWluaW11bSBhbW91bnQgb2YgYnVmZmVyIHJlbmRlcmVkIGJleW9uZCB0aGUgdmlld3BvcnQgKGluIHBpeGVscykuICovXG4gIHByaXZhdGUgX21pbkJ1ZmZlclB4OiBudW1iZXI7XG5cbiAgLyoqIFRoZSBudW1iZXIgb2YgYnVmZmVyIGl0ZW1zIHRvIHJlbmRlciBiZXlvbmQgdGhlIGVkZ2Ugb2YgdGhlIHZpZXdwb3J0IChpbiBwaXhlbHMpLiAqL1xuICBwcml2YXRlIF9tYXhCdWZmZXJQeDogbnVtYmVyO1xuXG4gIC8qKlxuICAgKiBAcGFyYW0gcm93SGVpZ2h0IFRoZSBoZWlnaHQgb2YgdGhlIHJvd3MgaW4gdGhlIGdyaWQuXG4gICAqIEBwYXJhbSBjb2x1bW5XaWR0aCBUaGUgd2lkdGggb2YgdGhlIGNvbHVtbnMgaW4gdGhlIGdyaWQuXG4gICAqIEBwYXJhbSBjb2x1bW5Db3VudCBUaGUgdG90YWwgbnVtYmVyIG9mIGNvbHVtbnMgaW4gdGhlIGdyaWQuXG4gICAqIEBwYXJhbSBtaW5CdWZmZXJQeCBUaGUgbWluaW11bSBhbW91bnQgb2YgYnVmZmVyIChpbiBwaXhlbHMpIGJlZm9yZSBuZWVkaW5nIHRvIHJlbmRlciBtb3JlXG4gICAqIEBwYXJhbSBtYXhCdWZmZXJQeCBUaGUgYW1vdW50IG9mIGJ1ZmZlciAoaW4gcGl4ZWxzKSB0byByZW5kZXIgd2hlbiByZW5kZXJpbmcgbW9yZS5cbiAgICovXG4gIGNvbnN0cnVjdG9yKHJvd0hlaWdodDogbnVtYmVyLCBjb2x1bW5XaWR0aDogbnVtYmVyLCBjb2x1bW5Db3VudDogbnVtYmVyLCBtaW5CdWZmZXJQeDogbnVtYmVyLFxuICAgICAgICAgICAgICBtYXhCdWZmZXJQeDogbnVtYmVyKSB7XG4gICAgdGhpcy5fcm93SGVpZ2h0ID0gcm93SGVpZ2h0O1xuICAgIHRoaXMuX2NvbHVtbldpZHRoID0gY29sdW1uV2lkdGg7XG4gICAgdGhpcy5fY29sdW1uQ291bnQgPSBjb2x1bW5Db3VudDtcbiAgICB0aGlzLl9taW5CdWZmZXJQeCA9IG1pbkJ1ZmZlclB4O1xuICAgIHRoaXMuX21heEJ1ZmZlclB4ID0gbWF4QnVmZmVyUHg7XG4gICAgdGhpcy5fcm93U3RyYXRlZ3kgPSBuZXcgRml4ZWRTaXplVmlydHVhbFNjcm9sbFN0cmF0ZWd5KHJvd0hlaWdodCwgbWluQnVmZmVyUHgsIG1heEJ1ZmZlclB4KTtcbiAgICB0aGlzLnNjcm9sbGVkSW5kZXhDaGFuZ2UgPSB0aGlzLl9yb3dTdHJhdGVneS5zY3JvbGxlZEluZGV4Q2hhbmdlO1xuICB9XG5cbiAgLyoqXG4gICAqIEF0dGFjaGVzIHRoaXMgc2Nyb2xsIHN0cmF0ZWd5IHRvIGEgdmlld3BvcnQuXG4gICAqIEBwYXJhbSB2aWV3cG9ydCBUaGUgdmlld3BvcnQgdG8gYXR0YWNoIHRoaXMgc3RyYXRlZ3kgdG8uXG4gICAqL1xuICBhdHRhY2godmlld3BvcnQ6IENka1ZpcnR1YWxTY3JvbGxWaWV3cG9ydCkge1xuICAgIGlmICh2aWV3cG9ydC5vcmllbnRhdGlvbiA9PT0gJ2hvcml6b250YWwnICYmICh0eXBlb2YgbmdEZXZNb2RlID09PSAndW5kZWZpbmVkJyB8fCBuZ0Rldk1vZGUpKSB7XG4gICAgICB0aHJvdyBFcnJvcignQ0RLIHZpcnR1YWwgc2Nyb2xsOiB2aXJ0dWFsIGdyaWRzIHJlcXVpcmUgYSB2ZXJ0aWNhbCB2aWV3cG9ydC4nKTtcbiAgICB9XG5cbiAgICB0aGlzLl92aWV3cG9ydCA9IHZpZXdwb3J0O1xuICAgIHRoaXMuX3Jvd1N0cmF0ZWd5LmF0dGFjaCh2aWV3cG9ydCk7XG4gICAgdGhpcy5fdXBkYXRlVG90YWxDb2x1bW5Db250ZW50U2l6ZSgpO1xuICAgIHRoaXMuX3VwZGF0ZVJlbmRlcmVkQ29sdW1uUmFuZ2UoKTtcbiAgfVxuXG4gIC8qKiBEZXRhY2hlcyB0aGlzIHNjcm9sbCBzdHJhdGVneSBmcm9tIHRoZSBjdXJyZW50bHkgYXR0YWNoZWQgdmlld3BvcnQuICovXG4gIGRldGFjaCgpIHtcbiAgICB0aGlzLl9yb3dTdHJhdGVneS5kZXRhY2goKTtcbiAgICB0aGlzLl92aWV3cG9ydCA9IG51bGw7XG4gIH1cblxuICAvKipcbiAgICogVXBkYXRlIHRoZSBjZWxsIHNpemUsIG51bWJlciBvZiBjb2x1bW5zIGFuZCBidWZmZXIgc2l6ZS5cbiAgICogQHBhcmFtIHJvd0hlaWdodCBUaGUgaGVpZ2h0IG9mIHRoZSByb3dzIGluIHRoZSBncmlkLlxuICAgKiBAcGFyYW0gY29sdW1uV2lkdGggVGhlIHdpZHRoIG9mIHRoZSBjb2x1bW5zIGluIHRoZSBncmlkLlxuICAgKiBAcGFyYW0gY29sdW1uQ291bnQgVGhlIHRvdGFsIG51bWJlciBvZiBjb2x1bW5zIGluIHRoZSBncmlkLlxuICAgKiBAcGFyYW0gbWluQnVmZmVyUHggVGhlIG1pbmltdW0gYW1vdW50IG9mIGJ1ZmZlciAoaW4gcGl4ZWxzKSBiZWZvcmUgbmVlZGluZyB0byByZW5kZXIgbW9yZVxuICAgKiBAcGFyYW0gbWF4QnVmZmVyUHggVGhlIGFtb3VudCBvZiBidWZmZXIgKGluIHBpeGVscykgdG8gcmVuZGVyIHdoZW4gcmVuZGVyaW5nIG1vcmUuXG4gICAqL1xuICB1cGRhdGVDZWxsQW5kQnVmZmVyU2l6ZShyb3dIZWlnaHQ6IG51bWJlciwgY29sdW1uV2lkdGg6IG51bWJlciwgY29sdW1uQ291bnQ6IG51bWJlcixcbiAgICAgICAgICAgICAgICAgICAgICAgICAgbWluQnVmZmVyUHg6IG51bWJlciwgbWF4QnVmZmVyUHg6IG51bWJlcikge1xuICAgIHRoaXMuX3Jvd1N0cmF0ZWd5LnVwZGF0ZUl0ZW1BbmRCdWZmZXJTaXplKHJvd0hlaWdodCwgbWluQnVmZmVyUHgsIG1heEJ1ZmZlclB4KTtcbiAgICB0aGlzLl9yb3dIZWlnaHQgPSByb3dIZWlnaHQ7XG4gICAgdGhpcy5fY29sdW1uV2lkdGggPSBjb2x1bW5XaWR0aDtcbiAgICB0aGlzLl9jb2x1bW5Db3VudCA9IGNvbHVtbkNvdW50O1xuICAgIHRoaXMuX21pbkJ1ZmZlclB4ID0gbWluQnVmZmVyUHg7XG4gICAgdGhpcy5fbWF4QnVmZmVyUHggPSBtYXhCdWZmZXJQeDtcbiAgICB0aGlzLl91cGRhdGVUb3RhbENvbHVtbkNvbnRlbnRTaXplKCk7XG4gICAgdGhpcy5fdXBkYXRlUmVuZGVyZWRDb2x1bW5SYW5nZSgpO1xuICB9XG5cbiAgLyoqIEBkb2NzLXByaXZhdGUgSW1wbGVtZW50ZWQgYXMgcGFydCBvZiBWaXJ0dWFsU2Nyb2xsU3RyYXRlZ3kuICovXG4gIG9uQ29udGVudFNjcm9sbGVkKCkge1xuICAgIHRoaXMuX3Jvd1N0cmF0ZWd5Lm9uQ29udGVudFNjcm9sbGVkKCk7XG4gICAgdGhpcy5fdXBkYXRlUmVuZGVyZWRDb2x1bW5SYW5nZSgpO1xuICB9XG5cbiAgLyoqIEBkb2NzLXByaXZhdGUgSW1wbGVtZW50ZWQgYXMgcGFydCBvZiBWaXJ0dWFsU2Nyb2xsU3RyYXRlZ3kuICovXG4gIG9uRGF0YUxlbmd0aENoYW5nZWQoKSB7XG4gICAgdGhpcy5fcm93U3RyYXRlZ3kub25EYXRhTGVuZ3RoQ2hhbmdlZCgpO1xuICAgIHRoaXMuX3VwZGF0ZVJlbmRlcmVkQ29sdW1uUmFuZ2UoKTtcbiAgfVxuXG4gIC8qKiBAZG9jcy1wcml2YXRlIEltcGxlbWVudGVkIGFzIHBhcnQgb2YgVmlydHVhbFNjcm9sbFN0cmF0ZWd5LiAqL1xuICBvbkNvbnRlbnRSZW5kZXJlZCgpIHsgLyogbm8tb3AgKi8gfVxuXG4gIC8qKiBAZG9jcy1wcml2YXRlIEltcGxlbWVudGVkIGFzIHBhcnQgb2YgVmlydHVhbFNjcm9sbFN0cmF0ZWd5LiAqL1xuICBvblJlbmRlcmVkT2Zmc2V0Q2hhbmdlZCgpIHsgLyogbm8tb3AgKi8gfVxuXG4gIC8qKlxuICAgKiBTY3JvbGwgdG8gdGhlIG9mZnNldCBmb3IgdGhlIGdpdmVuIHJvdy5cbiAgICogQHBhcmFtIGluZGV4IFRoZSBpbmRleCBvZiB0aGUgcm93IHRvIHNjcm9sbCB0by5cbiAgICogQHBhcmFtIGJlaGF2aW9yIFRoZSBTY3JvbGxCZWhhdmlvciB0byB1c2Ugd2hlbiBzY3JvbGxpbmcuXG4gICAqL1xuICBzY3JvbGxUb0luZGV4KGluZGV4OiBudW1iZXIsIGJlaGF2aW9yOiBTY3JvbGxCZWhhdmlvcik6IHZvaWQge1xuICAgIHRoaXMuX3Jvd1N0cmF0ZWd5LnNjcm9sbFRvSW5kZXgoaW5kZXgsIGJlaGF2aW9yKTtcbiAgfVxuXG4gIC8qKlxuICAgKiBTY3JvbGwgdG8gdGhlIG9mZnNldCBmb3IgdGhlIGdpdmVuIGNlbGwuXG4gICAqIEBwYXJhbSByb3cgVGhlIGluZGV4IG9mIHRoZSByb3cgdG8gc2Nyb2xsIHRvLlxuICAgKiBAcGFyYW0gY29sdW1uIFRoZSBpbmRleCBvZiB0aGUgY29sdW1uIHRvIHNjcm9sbCB0by5cbiAgICogQHBhcmFtIGJlaGF2aW9yIFRoZSBTY3JvbGxCZWhhdmlvciB0byB1c2Ugd2hlbiBzY3JvbGxpbmcuXG4gICAqL1xuICBzY3JvbGxUb0NlbGwocm93OiBudW1iZXIsIGNvbHVtbjogbnVtYmVyLCBiZWhhdmlvcjogU2Nyb2xsQmVoYXZpb3IpOiB2b2lkIHtcbiAgICBpZiAodGhpcy5fdmlld3BvcnQpIHtcbiAgICAgIHRoaXMuX3ZpZXdwb3J0LnNjcm9sbFRvKHtcbiAgICAgICAgdG9wOiByb3cgKiB0aGlzLl9yb3dIZWlnaHQsXG4gICAgICAgIHN0YXJ0OiBjb2x1bW4gKiB0aGlzLl9jb2x1bW5XaWR0aCxcbiAgICAgICAgYmVoYXZpb3JcbiAgICAgIH0pO1xuICAgIH1cbiAgfVxuXG4gIC8qKiBVcGRhdGUgdGhlIHZpZXdwb3J0J3MgdG90YWwgY29sdW1uIGNvbnRlbnQgc2l6ZS4gKi9cbiAgcHJpdmF0ZSBfdXBkYXRlVG90YWxDb2x1bW5Db250ZW50U2l6ZSgpIHtcbiAgICBpZiAodGhpcy5fdmlld3BvcnQpIHtcbiAgICAgIHRoaXMuX3ZpZXdwb3J0LnNldFRvdGFsQ29sdW1uQ29udGVudFNpemUodGhpcy5fY29sdW1uQ291bnQgKiB0aGlzLl9jb2x1bW5XaWR0aCk7XG4gICAgfVxuICB9XG5cbiAgLyoqIFVwZGF0ZSB0aGUgdmlld3BvcnQncyByZW5kZXJlZCByYW5nZSBvZiBjb2x1bW5zLiAqL1xuICBwcml2YXRlIF91cGRhdGVSZW5kZXJlZENvbHVtblJhbmdlKCkge1xuICAgIGlmICghdGhpcy5fdmlld3BvcnQpIHtcbiAgICAgIHJldHVybjtcbiAgICB9XG5cbiAgICBjb25zdCByZW5kZXJlZFJhbmdlID0gdGhpcy5fdmlld3BvcnQuZ2V0UmVuZGVyZWRDb2x1bW5SYW5nZSgpO1xuICAgIGNvbnN0IHZpZXdwb3J0V2lkdGggPSB0aGlzLl92aWV3cG9ydC5nZXRWaWV3cG9ydFdpZHRoKCk7XG4gICAgY29uc3Qgc2Nyb2xsT2Zmc2V0ID0gdGhpcy5fdmlld3BvcnQubWVhc3VyZVNjcm9sbE9mZnNldCgnc3RhcnQnKTtcbiAgICBjb25zdCBjb2x1bW5Db3VudCA9IHRoaXMuX2NvbHVtbkNvdW50O1xuICAgIGNvbnN0IGNvbHVtbldpZHRoID0gdGhpcy5fY29sdW1uV2lkdGg7XG4gICAgY29uc3Qgc3RhcnRCdWZmZXIgPSBzY3JvbGxPZmZzZXQgLSByZW5kZXJlZFJhbmdlLnN0YXJ0ICogY29sdW1uV2lkdGg7XG4gICAgY29uc3QgZW5kQnVmZmVyID0gcmVuZGVyZWRSYW5nZS5lbmQgKiBjb2x1bW5XaWR0aCAtIChzY3JvbGxPZmZzZXQgKyB2aWV3cG9ydFdpZHRoKTtcblxuICAgIC8vIE9ubHkgcmUtcmVuZGVyIGlmIG9uZSBvZiB0aGUgYnVmZmVycyBkaXBzIGJlbG93IHRoZSBtaW5pbXVtLCBvciBpZiB0aGVcbiAgICAvLyBudW1iZXIgb2YgY29sdW1ucyBjaGFuZ2VkIHNvIHRoYXQgdGhlIGN1cnJlbnQgcmFuZ2UgaXMgb3V0IG9mIGJvdW5kcy5cbiAgICBpZiAoKHN0YXJ0QnVmZmVyIDwgdGhpcy5fbWluQnVmZmVyUHggJiYgcmVuZGVyZWRSYW5nZS5zdGFydCAhPSAwKSB8fFxuICAgICAgICAoZW5kQnVmZmVyIDwgdGhpcy5fbWluQnVmZmVyUHggJiYgcmVuZGVyZWRSYW5nZS5lbmQgIT0gY29sdW1uQ291bnQpIHx8XG4gICAgICAgIHJlbmRlcmVkUmFuZ2UuZW5kID4gY29sdW1uQ291bnQpIHtcbiAgICAgIC8vIFByZXZlbnQgTmFOIGFzIHJlc3VsdCB3aGVuIGRpdmlkaW5nIGJ5IHplcm8uXG4gICAgICBjb25zdCBzdGFydCA9IGNvbHVtbldpZHRoID4gMCA/XG4gICAgICAgICAgTWF0aC5mbG9vcigoc2Nyb2xsT2Zmc2V0IC0gdGhpcy5fbWF4QnVmZmVyUHgpIC8gY29sdW1uV2lkdGgpIDogMDtcbiAgICAgIGNvbnN0IGVuZCA9IGNvbHVtbldpZHRoID4gMCA/XG4gICAgICAgICAgTWF0aC5jZWlsKChzY3JvbGxPZmZzZXQgKyB2aWV3cG9ydFdpZHRoICsgdGhpcy5fbWF4QnVmZmVyUHgpIC8gY29sdW1uV2lkdGgpIDogMDtcbiAgICAgIGNvbnN0IG5ld1JhbmdlID0ge1xuICAgICAgICBzdGFydDogTWF0aC5tYXgoMCwgTWF0aC5taW4oc3RhcnQsIGNvbHVtbkNvdW50KSksXG4gICAgICAgIGVuZDogTWF0aC5tYXgoMCwgTWF0aC5taW4oZW5kLCBjb2x1bW5Db3VudCkpLFxuICAgICAgfTtcblxuICAgICAgdGhpcy5fdmlld3BvcnQuc2V0UmVuZGVyZWRDb2x1bW5SYW5nZShuZXdSYW5nZSk7XG4gICAgICB0aGlzLl92aWV3cG9ydC5zZXRSZW5kZXJlZENvbHVtbkNvbnRlbnRPZmZzZXQobmV3UmFuZ2Uuc3RhcnQgKiBjb2x1bW5XaWR0aCk7XG4gICAgfVxuICB9XG59XG5cblxuLyoqXG4gKiBQcm92aWRlciBmYWN0b3J5IGZvciBgRml4ZWRTaXplVmlydHVhbEdyaWRTdHJhdGVneWAgdGhhdCBzaW1wbHkgZXh0cmFjdHMgdGhlIGFscmVhZHkgY3JlYXRlZFxuICogYEZpeGVkU2l6ZVZpcnR1YWxHcmlkU3RyYXRlZ3lgIGZyb20gdGhlIGdpdmVuIGRpcmVjdGl2ZS5cbiAqIEBwYXJhbSBncmlkRGlyIFRoZSBpbnN0YW5jZSBvZiBgQ2RrRml4ZWRTaXplVmlydHVhbEdyaWRgIHRvIGV4dHJhY3QgdGhlXG4gKiAgICAgYEZpeGVkU2l6ZVZpcnR1YWxHcmlkU3RyYXRlZ3lgIGZyb20uXG4gKi9cbmV4cG9ydCBmdW5jdGlvbiBfZml4ZWRTaXplVmlydHVhbEdyaWRTdHJhdGVneUZhY3RvcnkoZ3JpZERpcjogQ2RrRml4ZWRTaXplVmlydHVhbEdyaWQpIHtcbiAgcmV0dXJuIGdyaWREaXIuX3Njcm9sbFN0cmF0ZWd5O1xufVxuXG5cbi8qKiBBIHZpcnR1YWwgc2Nyb2xsIHN0cmF0ZWd5IHRoYXQgc3VwcG9ydHMgZ3JpZHMgd2l0aCBmaXhlZC1zaXplIHJvd3MgYW5kIGNvbHVtbnMuICovXG5ARGlyZWN0aXZlKHtcbiAgc2VsZWN0b3I6ICdjZGstdmlydHVhbC1zY3JvbGwtdmlld3BvcnRbcm93SGVpZ2h0XVtjb2x1bW5XaWR0aF0nLFxuICBwcm92aWRlcnM6IFt7XG4gICAgcHJvdmlkZTogVklSVFVBTF9TQ1JPTExfU1RSQVRFR1ksXG4gICAgdXNlRmFjdG9yeTogX2ZpeGVkU2l6ZVZpcnR1YWxHcmlkU3RyYXRlZ3lGYWN0b3J5LFxuICAgIGRlcHM6IFtmb3J3YXJkUmVmKCgpID0+IENka0ZpeGVkU2l6ZVZpcnR1YWxHcmlkKV0sXG4gIH1dLFxufSlcbmV4cG9ydCBjbGFzcyBDZGtGaXhlZFNpemVWaXJ0dWFsR3JpZCBpbXBsZW1lbnRzIE9uQ2hhbmdlcyB7XG4gIC8qKiBUaGUgaGVpZ2h0IG9mIHRoZSByb3dzIGluIHRoZSBncmlkIChpbiBwaXhlbHMpLiAqL1xuICBASW5wdXQoKVxuICBnZXQgcm93SGVpZ2h0KCk6IG51bWJlciB7IHJldHVybiB0aGlzLl9yb3dIZWlnaHQ7IH1cbiAgc2V0IHJvd0hlaWdodCh2YWx1ZTogbnVtYmVyKSB7IHRoaXMuX3Jvd0hlaWdodCA9IGNvZXJjZU51bWJlclByb3BlcnR5KHZhbHVlKTsgfVxuICBfcm93SGVpZ2h0ID0gMjA7XG5cbiAgLyoqIFRoZSB3aWR0aCBvZiB0aGUgY29sdW1ucyBpbiB0aGUgZ3JpZCAoaW4gcGl4ZWxzKS4gKi9cbiAgQElucHV0KClcbiAgZ2V0IGNvbHVtbldpZHRoKCk6IG51bWJlciB7IHJldHVybiB0aGlzLl9jb2x1bW5XaWR0aDsgfVxuICBzZXQgY29sdW1uV2lkdGgodmFsdWU6IG51bWJlcikgeyB0aGlzLl9jb2x1bW5XaWR0aCA9IGNvZXJjZU51bWJlclByb3BlcnR5KHZhbHVlKTsgfVxuICBfY29sdW1uV2lkdGggPSAxMDA7XG5cbiAgLyoqIFRoZSB0b3RhbCBudW1iZXIgb2YgY29sdW1ucyBpbiB0aGUgZ3JpZC4gKi9cbiAgQElucHV0KClcbiAgZ2V0IGNvbHVtbkNvdW50KCk6IG51bWJlciB7IHJldHVybiB0aGlzLl9jb2x1bW5Db3VudDsgfVxuICBzZXQgY29sdW1uQ291bnQodmFsdWU6IG51bWJlcikgeyB0aGlzLl9jb2x1bW5Db3VudCA9IGNvZXJjZU51bWJlclByb3BlcnR5KHZhbHVlKTsgfVxuICBfY29sdW1uQ291bnQgPSAwO1xuXG4gIC8qKlxuICAgKiBUaGUgbWluaW11bSBhbW91bnQgb2YgYnVmZmVyIHJlbmRlcmVkIGJleW9uZCB0aGUgdmlld3BvcnQgKGluIHBpeGVscykuXG4gICAqIElmIHRoZSBhbW91bnQgb2YgYnVmZmVyIGRpcHMgYmVsb3cgdGhpcyBudW1iZXIsIG1vcmUgY2VsbHMgd2lsbCBiZSByZW5kZXJlZC4gRGVmYXVsdHMgdG8gMTAwcHguXG4gICAqL1xuICBASW5wdXQoKVxuICBnZXQgbWluQnVmZmVyUHgoKTogbnVtYmVyIHsgcmV0dXJuIHRoaXMuX21pbkJ1ZmZlclB4OyB9XG4gIHNldCBtaW5CdWZmZXJQeCh2YWx1ZTogbnVtYmVyKSB7IHRoaXMuX21pbkJ1ZmZlclB4ID0gY29lcmNlTnVtYmVyUHJvcGVydHkodmFsdWUpOyB9XG4gIF9taW5CdWZmZXJQeCA9IDEwMDtcblxuICAvKipcbiAgICogVGhlIG51bWJlciBvZiBwaXhlbHMgd29ydGggb2YgYnVmZmVyIHRvIHJlbmRlciBmb3Igd2hlbiByZW5kZXJpbmcgbmV3IGNlbGxzLiBEZWZhdWx0cyB0byAyMDBweC5cbiAgICovXG4gIEBJbnB1dCgpXG4gIGdldCBtYXhCdWZmZXJQeCgpOiBudW1iZXIgeyByZXR1cm4gdGhpcy5fbWF4QnVmZmVyUHg7IH1cbiAgc2V0IG1heEJ1ZmZlclB4KHZhbHVlOiBudW1iZXIpIHsgdGhpcy5fbWF4QnVmZmVyUHggPSBjb2VyY2VOdW1iZXJQcm9wZXJ0eSh2YWx1ZSk7IH1cbiAgX21heEJ1ZmZlclB4ID0gMjAwO1xuXG4gIC8qKiBUaGUgc2Nyb2xsIHN0cmF0ZWd5IHVzZWQgYnkgdGhpcyBkaXJlY3RpdmUuICovXG4gIF9zY3JvbGxTdHJhdGVneSA9IG5ldyBGaXhlZFNpemVWaXJ0dWFsR3JpZFN0cmF0ZWd5KHRoaXMucm93SGVpZ2h0LCB0aGlzLmNvbHVtbldpZHRoLFxuICAgICAgdGhpcy5jb2x1bW5Db3VudCwgdGhpcy5taW5CdWZmZXJQeCwgdGhpcy5tYXhCdWZmZXJQeCk7XG5cbiAgbmdPbkNoYW5nZXMoKSB7XG4gICAgdGhpcy5fc2Nyb2xsU3RyYXRlZ3kudXBkYXRlQ2VsbEFuZEJ1ZmZlclNpemUodGhpcy5yb3dIZWlnaHQsIHRoaXMuY29sdW1uV2lkdGgsXG4gICAgICAgIHRoaXMuY29sdW1uQ291bnQsIHRoaXMubWluQnVmZmVyUHgsIHRoaXMubWF4QnVmZmVyUHgpO1xuICB9XG5cbiAgc3RhdGljIG5nQWNjZXB0SW5wdXRUeXBlX3Jvd0hlaWdodDogTnVtYmVySW5wdXQ7XG4gIHN0YXRpYyBuZ0FjY2VwdElucHV0VHlwZV9jb2x1bW5XaWR0aDogTnVtYmVySW5wdXQ7XG4gIHN0YXRpYyBuZ0FjY2VwdElucHV0VHlwZV9jb2x1bW5Db3VudDogTnVtYmVySW5wdXQ7XG4gIHN0YXRpYyBuZ0FjY2VwdElucHV0VHlwZV9taW5CdWZmZXJQeDogTnVtYmVySW5wdXQ7XG4gIHN0YXRpYyBuZ0FjY2VwdElucHV0VHlwZV9tYXhCdWZmZXJQeDogTnVtYmVySW5wdXQ7XG59XG4iXX0=
\ No newline at end of file
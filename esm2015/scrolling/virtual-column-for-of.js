@@ -0,0 +1,78 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { _RecycleViewRepeaterStrategy, _VIEW_REPEATER_STRATEGY, } from '@angular/cdk/collections';
+import { Directive, Input, TemplateRef } from '@angular/core';
+import { startWith } from 'rxjs/operators';
+import { CdkVirtualForOf } from './virtual-for-of';
+/**
+ * A directive similar to `cdkVirtualFor` that renders the columns of a row inside a virtual
+ * scrolling grid. Only the columns within the rendered column range of the viewport are stamped
+ * out. Requires a scroll strategy that virtualizes columns, like `CdkFixedSizeVirtualGrid`.
+ */
+export class CdkVirtualColumnForOf extends CdkVirtualForOf {
+    /** The DataSource to display in the columns. */
+    get cdkVirtualColumnForOf() {
+        return this.cdkVirtualForOf;
+    }
+    set cdkVirtualColumnForOf(value) {
+        this.cdkVirtualForOf = value;
+    }
+    /**
+     * The `TrackByFunction` to use for tracking changes. The `TrackByFunction` takes the index and
+     * the item and produces a value to be used as the item's identity when tracking changes.
+     */
+    get cdkVirtualColumnForTrackBy() {
+        return this.cdkVirtualForTrackBy;
+    }
+    set cdkVirtualColumnForTrackBy(fn) {
+        this.cdkVirtualForTrackBy = fn;
+    }
+    /** The template used to stamp out new elements. */
+    set cdkVirtualColumnForTemplate(value) {
+        this.cdkVirtualForTemplate = value;
+    }
+    /**
+     * The size of the cache used to store templates that are not being used for re-use later.
+     * Setting the cache size to `0` will disable caching. Defaults to 20 templates.
+     */
+    get cdkVirtualColumnForTemplateCacheSize() {
+        return this.cdkVirtualForTemplateCacheSize;
+    }
+    set cdkVirtualColumnForTemplateCacheSize(size) {
+        this.cdkVirtualForTemplateCacheSize = size;
+    }
+    /** Gets the stream of column ranges that should be rendered by this repeater. */
+    _getRenderedRangeStream() {
+        // Column repeaters are created lazily inside of the rendered rows so they need to
+        // start off with the range that is currently being rendered.
+        return this._viewport.renderedColumnRangeStream
+            .pipe(startWith(this._viewport.getRenderedColumnRange()));
+    }
+    /**
+     * Column repeaters don't attach to the viewport, because the number of rows is determined by
+     * the row repeater.
+     */
+    _attachToViewport() { }
+    /** Column repeaters don't attach to the viewport so there is nothing to detach. */
+    _detachFromViewport() { }
+}
+CdkVirtualColumnForOf.decorators = [
+    { type: Directive, args: [{
+                selector: '[cdkVirtualColumnFor][cdkVirtualColumnForOf]',
+                providers: [
+                    { provide: _VIEW_REPEATER_STRATEGY, useClass: _RecycleViewRepeaterStrategy },
+                ]
+            },] }
+];
+CdkVirtualColumnForOf.propDecorators = {
+    cdkVirtualColumnForOf: [{ type: Input }],
+    cdkVirtualColumnForTrackBy: [{ type: Input }],
+    cdkVirtualColumnForTemplate: [{ type: Input }],
+    cdkVirtualColumnForTemplateCacheSize: [{ type: Input }]
+};
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoidmlydHVhbC1jb2x1bW4tZm9yLW9mLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiLi4vLi4vLi4vLi4vLi4vLi4vc3JjL2Nkay9zY3JvbGxpbmcvdmlydHVhbC1jb2x1bW4tZm9yLW9mLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBOzs7Ozs7R0FNRztBQUVILE9BQU8sRUFHTCw0QkFBNEIsRUFDNUIsdUJBQXVCLEdBQ3hCLE1BQU0sMEJBQTBCLENBQUM7QUFFbEMsT0FBTyxFQUFDLFNBQVMsRUFBRSxLQUFLLEVBQWMsV0FBVyxFQUFrQixNQUFNLGVBQWUsQ0FBQztBQUV6RixPQUFPLEVBQUMsU0FBUyxFQUFDLE1BQU0sZ0JBQWdCLENBQUM7QUFDekMsT0FBTyxFQUFDLGVBQWUsRUFBeUIsTUFBTSxrQkFBa0IsQ0FBQztBQUd6RTs7OztHQUlHO0FBT0gsTUFBTSxPQUFPLHFCQUF5QixTQUFRLGVBQWtCO0lBQzlELGdEQUFnRDtJQUNoRCxJQUNJLHFCQUFxQjtRQUV2QixPQUFPLElBQUksQ0FBQyxlQUFlLENBQUM7SUFDOUIsQ0FBQztJQUNELElBQUkscUJBQXFCLENBQ3JCLEtBQXlFO1FBQzNFLElBQUksQ0FBQyxlQUFlLEdBQUcsS0FBSyxDQUFDO0lBQy9CLENBQUM7SUFFRDs7O09BR0c7SUFDSCxJQUNJLDBCQUEwQjtRQUM1QixPQUFPLElBQUksQ0FBQyxvQkFBb0IsQ0FBQztJQUNuQyxDQUFDO0lBQ0QsSUFBSSwwQkFBMEIsQ0FBQyxFQUFrQztRQUMvRCxJQUFJLENBQUMsb0JBQW9CLEdBQUcsRUFBRSxDQUFDO0lBQ2pDLENBQUM7SUFFRCxtREFBbUQ7SUFDbkQsSUFDSSwyQkFBMkIsQ0FBQyxLQUE2QztRQUMzRSxJQUFJLENBQUMscUJBQXFCLEdBQUcsS0FBSyxDQUFDO0lBQ3JDLENBQUM7SUFFRDs7O09BR0c7SUFDSCxJQUNJLG9DQUFvQztRQUN0QyxPQUFPLElBQUksQ0FBQyw4QkFBOEIsQ0FBQztJQUM3QyxDQUFDO0lBQ0QsSUFBSSxvQ0FBb0MsQ0FBQyxJQUFZO1FBQ25ELElBQUksQ0FBQyw4QkFBOEIsR0FBRyxJQUFJLENBQUM7SUFDN0MsQ0FBQztJQUVELGlGQUFpRjtJQUN2RSx1QkFBdUI7UUFDL0Isa0ZBQWtGO1FBQ2xGLDZEQUE2RDtRQUM3RCxPQUFPLElBQUksQ0FBQyxTQUFTLENBQUMseUJBQXlCO2FBQzFDLElBQUksQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxzQkFBc0IsRUFBRSxDQUFDLENBQUMsQ0FBQztJQUNoRSxDQUFDO0lBRUQ7OztPQUdHO0lBQ08saUJBQWlCLEtBQUksQ0FBQztJQUVoQyxtRkFBbUY7SUFDekUsbUJBQW1CLEtBQUksQ0FBQzs7O1lBL0RuQyxTQUFTLFNBQUM7Z0JBQ1QsUUFBUSxFQUFFLDhDQUE4QztnQkFDeEQsU0FBUyxFQUFFO29CQUNULEVBQUMsT0FBTyxFQUFFLHVCQUF1QixFQUFFLFFBQVEsRUFBRSw0QkFBNEIsRUFBQztpQkFDM0U7YUFDRjs7O29DQUdFLEtBQUs7eUNBY0wsS0FBSzswQ0FTTCxLQUFLO21EQVNMLEtBQUsiLCJzb3VyY2VzQ29udGVudCI6WyIvKipcbiAqIEBsaWNlbnNlXG4gKiBDb3B5cmlnaHQgR29vZ2xlIExMQyBBbGwgUmlnaHRzIFJlc2VydmVkLlxuICpcbiAqIFVzZSBvZiB0aGlzIHNvdXJjZSBjb2RlIGlzIGdvdmVybmVkIGJ5IGFuIE1JVC1zdHlsZSBsaWNlbnNlIHRoYXQgY2FuIGJlXG4gKiBmb3VuZCBpbiB0aGUgTElDRU5TRSBmaWxlIGF0IGh0dHBzOi8vYW5ndWxhci5pby9saWNlbnNlXG4gKi9cblxuaW1wb3J0IHtcbiAgRGF0YVNvdXJjZSxcbiAgTGlzdFJhbmdlLFxuICBfUmVjeWNsZVZpZXdSZXBlYXRlclN0cmF0ZWd5LFxuICBfVklFV19SRVBFQVRFUl9TVFJBVEVHWSxcbn0gZnJvbSAnQGFuZ3VsYXIvY2RrL2NvbGxlY3Rpb25zJztcbmltcG9ydCB7TnVtYmVySW5wdXR9IGZyb20gJ0Bhbmd1bGFyL2Nkay9jb2VyY2lvbic7XG5pbXBvcnQge0RpcmVjdGl2ZSwgSW5wdXQsIE5nSXRlcmFibGUsIFRlbXBsYXRlUmVmLCBUcmFja0J5RnVuY3Rpb259IGZyb20gJ0Bhbmd1bGFyL2NvcmUnO1xuaW1wb3J0IHtPYnNlcnZhYmxlfSBmcm9tICdyeGpzJztcbmltcG9ydCB7c3RhcnRXaXRofSBmcm9tICdyeGpzL29wZXJhdG9ycyc7XG5pbXBvcnQge0Nka1ZpcnR1YWxGb3JPZiwgQ2RrVmlydHVhbEZvck9mQ29udGV4dH0gZnJvbSAnLi92aXJ0dWFsLWZvci1vZic7XG5cblxuLyoqXG4gKiBBIGRpcmVjdGl2ZSBzaW1pbGFyIHRvIGBjZGtWaXJ0dWFsRm9yYCB0aGF0IHJlbmRlcnMgdGhlIGNvbHVtbnMgb2YgYSByb3cgaW5zaWRlIGEgdmlydHVhbFxuICogc2Nyb2xsaW5nIGdyaWQuIE9ubHkgdGhlIGNvbHVtbnMgd2l0aGluIHRoZSByZW5kZXJlZCBjb2x1bW4gcmFuZ2Ugb2YgdGhlIHZpZXdwb3J0IGFyZSBzdGFtcGVkXG4gKiBvdXQuIFJlcXVpcmVzIGEgc2Nyb2xsIHN0cmF0ZWd5IHRoYXQgdmlydHVhbGl6ZXMgY29sdW1ucywgbGlrZSBgQ2RrRml4ZWRTaXplVmlydHVhbEdyaWRgLlxuICovXG5ARGlyZWN0aXZlKHtcbiAgc2VsZWN0b3I6ICdbY2RrVmlydHVhbENvbHVtbkZvcl1bY2RrVmlydHVhbENvbHVtbkZvck9mXScsXG4gIHByb3ZpZGVyczogW1xuICAgIHtwcm92aWRlOiBfVklFV19SRVBFQVRFUl9TVFJBVEVHWSwgdXNlQ2xhc3M6IF9SZWN5Y2xlVmlld1JlcGVhdGVyU3RyYXRlZ3l9LFxuICBdXG59KVxuZXhwb3J0IGNsYXNzIENka1ZpcnR1YWxDb2x1bW5Gb3JPZjxUPiBleHRlbmRzIENka1ZpcnR1YWxGb3JPZjxUPiB7XG4gIC8qKiBUaGUgRGF0YVNvdXJjZSB0byBkaXNwbGF5IGluIHRoZSBjb2x1bW5zLiAqL1xuICBASW5wdXQoKVxuICBnZXQgY2RrVmlydHVhbENvbHVtbkZvck9mKCk6XG4gICAgICBEYXRhU291cmNlPFQ+IHwgT2JzZXJ2YWJsZTxUW10+IHwgTmdJdGVyYWJsZTxUPiB8IG51bGwgfCB1bmRlZmluZWQge1xuICAgIHJldHVybiB0aGlzLmNka1ZpcnR1YWxGb3JPZjtcbiAgfVxuICBzZXQgY2RrVmlydHVhbENvbHVtbkZvck9mKFxuICAgICAgdmFsdWU6IERhdGFTb3VyY2U8VD4gfCBPYnNlcnZhYmxlPFRbXT4gfCBOZ0l0ZXJhYmxlPFQ+IHwgbnVsbCB8IHVuZGVmaW5lZCkge1xuICAgIHRoaXMuY2RrVmlydHVhbEZvck9mID0gdmFsdWU7XG4gIH1cblxuICAvKipcbiAgICogVGhlIGBUcmFja0J5RnVuY3Rpb25gIHRvIHVzZSBmb3IgdHJhY2tpbmcgY2hhbmdlcy4gVGhlIGBUcmFja0J5RnVuY3Rpb25gIHRha2VzIHRoZSBpbmRleCBhbmRcbiAgICogdGhlIGl0ZW0gYW5kIHByb2R1Y2VzIGEgdmFsdWUgdG8gYmUgdXNlZCBhcyB0aGUgaXRlbSdzIGlkZW50aXR5IHdoZW4gdHJhY2tpbmcgY2hhbmdlcy5cbiAgICovXG4gIEBJbnB1dCgpXG4gIGdldCBjZGtWaXJ0dWFsQ29sdW1uRm9yVHJhY2tCeSgpOiBUcmFja0J5RnVuY3Rpb248VD4gfCB1bmRlZmluZWQge1xuICAgIHJldHVybiB0aGlzLmNka1ZpcnR1YWxGb3JUcmFja0J5O1xuICB9XG4gIHNldCBjZGtWaXJ0dWFsQ29sdW1uRm9yVHJhY2tCeShmbjogVHJhY2tCeUZ1bmN0aW9uPFQ+IHwgdW5kZWZpbmVkKSB7XG4gICAgdGhpcy5jZGtWaXJ0dWFsRm9yVHJhY2tCeSA9IGZuO1xuICB9XG5cbiAgLyoqIFRoZSB0ZW1wbGF0ZSB1c2VkIHRvIHN0YW1wIG91dCBuZXcgZWxlbWVudHMuICovXG4gIEBJbnB1dCgpXG4gIHNldCBjZGtWaXJ0dWFsQ29sdW1uRm9yVGVtcGxhdGUodmFsdWU6IFRlbXBsYXRlUmVmPENka1ZpcnR1YWxGb3JPZkNvbnRleHQ8VD4+KSB7XG4gICAgdGhpcy5jZGtWaXJ0dWFsRm9yVGVtcGxhdGUgPSB2YWx1ZTtcbiAgfVxuXG4gIC8qKlxuICAgKiBUaGUgc2l6ZSBvZiB0aGUgY2FjaGUgdXNlZCB0byBzdG9yZSB0ZW1wbGF0ZXMgdGhhdCBhcmUgbm90IGJlaW5nIHVzZWQgZm9yIHJlLXVzZSBsYXRlci5cbiAgICogU2V0dGluZyB0aGUgY2FjaGUgc2l6ZSB0byBgMGAgd2lsbCBkaXNhYmxlIGNhY2hpbmcuIERlZmF1bHRzIHRvIDIwIHRlbXBsYXRlcy5cbiAgICovXG4gIEBJbnB1dCgpXG4gIGdldCBjZGtWaXJ0dWFsQ29sdW1uRm9yVGVtcGxhdGVDYWNoZVNpemUoKSB7XG4gICAgcmV0dXJuIHRoaXMuY2RrVmlydHVhbEZvclRlbXBsYXRlQ2FjaGVTaXplO1xuICB9XG4gIHNldCBjZGtWaXJ0dWFsQ29sdW1uRm9yVGVtcGxhdGVDYWNoZVNpemUoc2l6ZTogbnVtYmVyKSB7XG4gICAgdGhpcy5jZGtWaXJ0dWFsRm9yVGVtcGxhdGVDYWNoZVNpemUgPSBzaXplO1xuICB9XG5cbiAgLyoqIEdldHMgdGhlIHN0cmVhbSBvZiBjb2x1bW4gcmFuZ2VzIHRoYXQgc2hvdWxkIGJlIHJlbmRlcmVkIGJ5IHRoaXMgcmVwZWF0ZXIuICovXG4gIHByb3RlY3RlZCBfZ2V0UmVuZGVyZWRSYW5nZVN0cmVhbSgpOiBPYnNlcnZhYmxlPExpc3RSYW5nZT4ge1xuICAgIC8vIENvbHVtbiByZXBlYXRlcnMgYXJlIGNyZWF0ZWQgbGF6aWx5IGluc2lkZSBvZiB0aGUgcmVuZGVyZWQgcm93cyBzbyB0aGV5IG5lZWQgdG9cbiAgICAvLyBzdGFydCBvZmYgd2l0aCB0aGUgcmFuZ2UgdGhhdCBpcyBjdXJyZW50bHkgYmVpbmcgcmVuZGVyZWQuXG4gICAgcmV0dXJuIHRoaXMuX3ZpZXdwb3J0LnJlbmRlcmVkQ29sdW1uUmFuZ2VTdHJlYW1cbiAgICAgICAgLnBpcGUoc3RhcnRXaXRoKHRoaXMuX3ZpZXdwb3J0LmdldFJlbmRlcmVkQ29sdW1uUmFuZ2UoKSkpO1xuICB9XG5cbiAgLyoqXG4gICAqIENvbHVtbiByZXBlYXRlcnMgZG9uJ3QgYXR0YWNoIHRvIHRoZSB2aWV3cG9ydCwgYmVjYXVzZSB0aGUgbnVtYmVyIG9mIHJvd3MgaXMgZGV0ZXJtaW5lZCBieVxuICAgKiB0aGUgcm93IHJlcGVhdGVyLlxuICAgKi9cbiAgcHJvdGVjdGVkIF9hdHRhY2hUb1ZpZXdwb3J0KCkge31cblxuICAvKiogQ29sdW1uIHJlcGVhdGVycyBkb24ndCBhdHRhY2ggdG8gdGhlIHZpZXdwb3J0IHNvIHRoZXJlIGlzIG5vdGhpbmcgdG8gZGV0YWNoLiAqL1xuICBwcm90ZWN0ZWQgX2RldGFjaEZyb21WaWV3cG9ydCgpIHt9XG5cbiAgc3RhdGljIG5nQWNjZXB0SW5wdXRUeXBlX2Nka1ZpcnR1YWxDb2x1bW5Gb3JUZW1wbGF0ZUNhY2hlU2l6ZTogTnVtYmVySW5wdXQ7XG59XG4iXX0=
\ No newline at end of file
@@ -13,4 +13,11 @@ import { InjectionToken } from '@angular/core';
 export const CDK_TABLE = new InjectionToken('CDK_TABLE');
 /** Injection token that can be used to specify the text column options. */
 export const TEXT_COLUMN_OPTIONS = new InjectionToken('text-column-options');
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoidG9rZW5zLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiLi4vLi4vLi4vLi4vLi4vLi4vc3JjL2Nkay90YWJsZS90b2tlbnMudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUE7Ozs7OztHQU1HO0FBRUgsT0FBTyxFQUFDLGNBQWMsRUFBQyxNQUFNLGVBQWUsQ0FBQztBQUU3Qzs7O0dBR0c7QUFDSCxNQUFNLENBQUMsTUFBTSxTQUFTLEdBQUcsSUFBSSxjQUFjLENBQU0sV0FBVyxDQUFDLENBQUM7QUFjOUQsMkVBQTJFO0FBQzNFLE1BQU0sQ0FBQyxNQUFNLG1CQUFtQixHQUM1QixJQUFJLGNBQWMsQ0FBeUIscUJBQXFCLENBQUMsQ0FBQyIsInNvdXJjZXNDb250ZW50IjpbIi8qKlxuICogQGxpY2Vuc2VcbiAqIENvcHlyaWdodCBHb29nbGUgTExDIEFsbCBSaWdodHMgUmVzZXJ2ZWQuXG4gKlxuICogVXNlIG9mIHRoaXMgc291cmNlIGNvZGUgaXMgZ292ZXJuZWQgYnkgYW4gTUlULXN0eWxlIGxpY2Vuc2UgdGhhdCBjYW4gYmVcbiAqIGZvdW5kIGluIHRoZSBMSUNFTlNFIGZpbGUgYXQgaHR0cHM6Ly9hbmd1bGFyLmlvL2xpY2Vuc2VcbiAqL1xuXG5pbXBvcnQge0luamVjdGlvblRva2VufSBmcm9tICdAYW5ndWxhci9jb3JlJztcblxuLyoqXG4gKiBVc2VkIHRvIHByb3ZpZGUgYSB0YWJsZSB0byBzb21lIG9mIHRoZSBzdWItY29tcG9uZW50cyB3aXRob3V0IGNhdXNpbmcgYSBjaXJjdWxhciBkZXBlbmRlbmN5LlxuICogQGRvY3MtcHJpdmF0ZVxuICovXG5leHBvcnQgY29uc3QgQ0RLX1RBQkxFID0gbmV3IEluamVjdGlvblRva2VuPGFueT4oJ0NES19UQUJMRScpO1xuXG4vKiogQ29uZmlndXJhYmxlIG9wdGlvbnMgZm9yIGBDZGtUZXh0Q29sdW1uYC4gKi9cbmV4cG9ydCBpbnRlcmZhY2UgVGV4dENvbHVtbk9wdGlvbnM8VD4ge1xuICAvKipcbiAgICogRGVmYXVsdCBmdW5jdGlvbiB0aGF0IHByb3ZpZGVzIHRoZSBoZWFkZXIgdGV4dCBiYXNlZCBvbiB0aGUgY29sdW1uIG5hbWUgaWYgYSBoZWFkZXJcbiAgICogdGV4dCBpcyBub3QgcHJvdmlkZWQuXG4gICAqL1xuICBkZWZhdWx0SGVhZGVyVGV4dFRyYW5zZm9ybT86IChuYW1lOiBzdHJpbmcpID0+IHN0cmluZztcblxuICAvKiogRGVmYXVsdCBkYXRhIGFjY2Vzc29yIHRvIHVzZSBpZiBvbmUgaXMgbm90IHByb3ZpZGVkLiAqL1xuICBkZWZhdWx0RGF0YUFjY2Vzc29yPzogKGRhdGE6IFQsIG5hbWU6IHN0cmluZykgPT4gc3RyaW5nO1xufVxuXG4vKiogSW5qZWN0aW9uIHRva2VuIHRoYXQgY2FuIGJlIHVzZWQgdG8gc3BlY2lmeSB0aGUgdGV4dCBjb2x1bW4gb3B0aW9ucy4gKi9cbmV4cG9ydCBjb25zdCBURVhUX0NPTFVNTl9PUFRJT05TID1cbiAgICBuZXcgSW5qZWN0aW9uVG9rZW48VGV4dENvbHVtbk9wdGlvbnM8YW55Pj4oJ3RleHQtY29sdW1uLW9wdGlvbnMnKTtcbiJdfQ==
\ No newline at end of file
+/**
+ * Injection token that can be used by a resizable element, like `CdkResizable` from
+ * `@angular/cdk/drag-drop`, to provide itself to the header cell that it is placed on, so that
+ * the width of the entire column is changed along with it. Used to avoid a dependency from the
+ * table on the packages that can resize its cells.
+ */
+export const CDK_TABLE_RESIZABLE = new InjectionToken('CDK_TABLE_RESIZABLE');
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoidG9rZW5zLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiLi4vLi4vLi4vLi4vLi4vLi4vc3JjL2Nkay90YWJsZS90b2tlbnMudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUE7Ozs7OztHQU1HO0FBRUgsT0FBTyxFQUFDLGNBQWMsRUFBQyxNQUFNLGVBQWUsQ0FBQztBQUc3Qzs7O0dBR0c7QUFDSCxNQUFNLENBQUMsTUFBTSxTQUFTLEdBQUcsSUFBSSxjQUFjLENBQU0sV0FBVyxDQUFDLENBQUM7QUFjOUQsMkVBQTJFO0FBQzNFLE1BQU0sQ0FBQyxNQUFNLG1CQUFtQixHQUM1QixJQUFJLGNBQWMsQ0FBeUIscUJBQXFCLENBQUMsQ0FBQztBQVF0RTs7Ozs7R0FLRztBQUNILE1BQU0sQ0FBQyxNQUFNLG1CQUFtQixHQUM1QixJQUFJLGNBQWMsQ0FBb0IscUJBQXFCLENBQUMsQ0FBQyIsInNvdXJjZXNDb250ZW50IjpbIi8qKlxuICogQGxpY2Vuc2VcbiAqIENvcHlyaWdodCBHb29nbGUgTExDIEFsbCBSaWdodHMgUmVzZXJ2ZWQuXG4gKlxuICogVXNlIG9mIHRoaXMgc291cmNlIGNvZGUgaXMgZ292ZXJuZWQgYnkgYW4gTUlULXN0eWxlIGxpY2Vuc2UgdGhhdCBjYW4gYmVcbiAqIGZvdW5kIGluIHRoZSBMSUNFTlNFIGZpbGUgYXQgaHR0cHM6Ly9hbmd1bGFyLmlvL2xpY2Vuc2VcbiAqL1xuXG5pbXBvcnQge0luamVjdGlvblRva2VufSBmcm9tICdAYW5ndWxhci9jb3JlJztcbmltcG9ydCB7T2JzZXJ2YWJsZX0gZnJvbSAncnhqcyc7XG5cbi8qKlxuICogVXNlZCB0byBwcm92aWRlIGEgdGFibGUgdG8gc29tZSBvZiB0aGUgc3ViLWNvbXBvbmVudHMgd2l0aG91dCBjYXVzaW5nIGEgY2lyY3VsYXIgZGVwZW5kZW5jeS5cbiAqIEBkb2NzLXByaXZhdGVcbiAqL1xuZXhwb3J0IGNvbnN0IENES19UQUJMRSA9IG5ldyBJbmplY3Rpb25Ub2tlbjxhbnk+KCdDREtfVEFCTEUnKTtcblxuLyoqIENvbmZpZ3VyYWJsZSBvcHRpb25zIGZvciBgQ2RrVGV4dENvbHVtbmAuICovXG5leHBvcnQgaW50ZXJmYWNlIFRleHRDb2x1bW5PcHRpb25zPFQ+IHtcbiAgLyoqXG4gICAqIERlZmF1bHQgZnVuY3Rpb24gdGhhdCBwcm92aWRlcyB0aGUgaGVhZGVyIHRleHQgYmFzZWQgb24gdGhlIGNvbHVtbiBuYW1lIGlmIGEgaGVhZGVyXG4gICAqIHRleHQgaXMgbm90IHByb3ZpZGVkLlxuICAgKi9cbiAgZGVmYXVsdEhlYWRlclRleHRUcmFuc2Zvcm0/OiAobmFtZTogc3RyaW5nKSA9PiBzdHJpbmc7XG5cbiAgLyoqIERlZmF1bHQgZGF0YSBhY2Nlc3NvciB0byB1c2UgaWYgb25lIGlzIG5vdCBwcm92aWRlZC4gKi9cbiAgZGVmYXVsdERhdGFBY2Nlc3Nvcj86IChkYXRhOiBULCBuYW1lOiBzdHJpbmcpID0+IHN0cmluZztcbn1cblxuLyoqIEluamVjdGlvbiB0b2tlbiB0aGF0IGNhbiBiZSB1c2VkIHRvIHNwZWNpZnkgdGhlIHRleHQgY29sdW1uIG9wdGlvbnMuICovXG5leHBvcnQgY29uc3QgVEVYVF9DT0xVTU5fT1BUSU9OUyA9XG4gICAgbmV3IEluamVjdGlvblRva2VuPFRleHRDb2x1bW5PcHRpb25zPGFueT4+KCd0ZXh0LWNvbHVtbi1vcHRpb25zJyk7XG5cbi8qKiBFbGVtZW50IHRoYXQgY2FuIGNoYW5nZSB0aGUgd2lkdGggb2YgdGhlIHRhYmxlIGhlYWRlciBjZWxsIHRoYXQgaXQgaXMgcGxhY2VkIG9uLiAqL1xuZXhwb3J0IGludGVyZmFjZSBDZGtUYWJsZVJlc2l6YWJsZSB7XG4gIC8qKiBFbWl0cyB3aGVuIHRoZSBlbGVtZW50IGhhcyBiZWVuIHJlc2l6ZWQuICovXG4gIHJlc2l6ZWQ6IE9ic2VydmFibGU8dW5rbm93bj47XG59XG5cbi8qKlxuICogSW5qZWN0aW9uIHRva2VuIHRoYXQgY2FuIGJlIHVzZWQgYnkgYSByZXNpemFibGUgZWxlbWVudCwgbGlrZSBgQ2RrUmVzaXphYmxlYCBmcm9tXG4gKiBgQGFuZ3VsYXIvY2RrL2RyYWctZHJvcGAsIHRvIHByb3ZpZGUgaXRzZWxmIHRvIHRoZSBoZWFkZXIgY2VsbCB0aGF0IGl0IGlzIHBsYWNlZCBvbiwgc28gdGhhdFxuICogdGhlIHdpZHRoIG9mIHRoZSBlbnRpcmUgY29sdW1uIGlzIGNoYW5nZWQgYWxvbmcgd2l0aCBpdC4gVXNlZCB0byBhdm9pZCBhIGRlcGVuZGVuY3kgZnJvbSB0aGVcbiAqIHRhYmxlIG9uIHRoZSBwYWNrYWdlcyB0aGF0IGNhbiByZXNpemUgaXRzIGNlbGxzLlxuICovXG5leHBvcnQgY29uc3QgQ0RLX1RBQkxFX1JFU0laQUJMRSA9XG4gICAgbmV3IEluamVjdGlvblRva2VuPENka1RhYmxlUmVzaXphYmxlPignQ0RLX1RBQkxFX1JFU0laQUJMRScpO1xuIl19
\ No newline at end of file
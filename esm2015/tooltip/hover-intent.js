@@ -0,0 +1,77 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * Tracks the pointer while it is over an element and reports once it has slowed down enough to
+ * indicate that the user intends to interact with the element, rather than passing over it.
+ * @docs-private
+ */
+export class HoverIntent {
+    constructor(_element, _ngZone) {
+        this._element = _element;
+        this._ngZone = _ngZone;
+        /** Most recent coordinates of the pointer. */
+        this._current = { x: 0, y: 0 };
+        /** Coordinates of the pointer at the previous sample. */
+        this._previous = { x: 0, y: 0 };
+        /** ID of the timeout for the next sample. */
+        this._timeoutId = null;
+        /** Removes the `mousemove` listener from the element. */
+        this._removeMoveListener = null;
+    }
+    /**
+     * Starts tracking the pointer, replacing any tracking that was in progress.
+     * @param event Event that started the hover, usually `mouseenter`.
+     * @param sensitivity Distance in pixels that the pointer can travel within one interval
+     *    while still being considered to be resting on the element.
+     * @param interval Interval in milliseconds at which the pointer's speed is sampled.
+     * @param callback Invoked inside the NgZone once the pointer has slowed down.
+     */
+    track(event, sensitivity, interval, callback) {
+        this.stop();
+        if (interval <= 0) {
+            callback();
+            return;
+        }
+        this._current = this._previous = { x: event.clientX, y: event.clientY };
+        this._ngZone.runOutsideAngular(() => {
+            const listener = (moveEvent) => {
+                this._current = { x: moveEvent.clientX, y: moveEvent.clientY };
+            };
+            this._element.addEventListener('mousemove', listener);
+            this._removeMoveListener = () => this._element.removeEventListener('mousemove', listener);
+            this._scheduleSample(sensitivity, interval, callback);
+        });
+    }
+    /** Stops tracking the pointer without invoking the callback. */
+    stop() {
+        if (this._timeoutId !== null) {
+            clearTimeout(this._timeoutId);
+            this._timeoutId = null;
+        }
+        if (this._removeMoveListener) {
+            this._removeMoveListener();
+            this._removeMoveListener = null;
+        }
+    }
+    /** Compares the pointer's position after one interval to its previous position. */
+    _scheduleSample(sensitivity, interval, callback) {
+        this._timeoutId = setTimeout(() => {
+            const current = this._current;
+            const previous = this._previous;
+            if (Math.abs(current.x - previous.x) + Math.abs(current.y - previous.y) < sensitivity) {
+                this.stop();
+                this._ngZone.run(callback);
+            }
+            else {
+                this._previous = current;
+                this._scheduleSample(sensitivity, interval, callback);
+            }
+        }, interval);
+    }
+}
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiaG92ZXItaW50ZW50LmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiLi4vLi4vLi4vLi4vLi4vLi4vc3JjL2Nkay90b29sdGlwL2hvdmVyLWludGVudC50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiQUFBQTs7Ozs7O0dBTUc7QUFJSDs7OztHQUlHO0FBQ0gsTUFBTSxPQUFPLFdBQVc7SUFhdEIsWUFBNkIsUUFBcUIsRUFBbUIsT0FBZTtRQUF2RCxhQUFRLEdBQVIsUUFBUSxDQUFhO1FBQW1CLFlBQU8sR0FBUCxPQUFPLENBQVE7UUFacEYsOENBQThDO1FBQ3RDLGFBQVEsR0FBRyxFQUFDLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBQyxDQUFDO1FBRWhDLHlEQUF5RDtRQUNqRCxjQUFTLEdBQUcsRUFBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUMsQ0FBQztRQUVqQyw2Q0FBNkM7UUFDckMsZUFBVSxHQUFrQixJQUFJLENBQUM7UUFFekMseURBQXlEO1FBQ2pELHdCQUFtQixHQUF3QixJQUFJLENBQUM7SUFFK0IsQ0FBQztJQUV4Rjs7Ozs7OztPQU9HO0lBQ0gsS0FBSyxDQUFDLEtBQWlCLEVBQUUsV0FBbUIsRUFBRSxRQUFnQixFQUFFLFFBQW9CO1FBQ2xGLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQztRQUVaLElBQUksUUFBUSxJQUFJLENBQUMsRUFBRTtZQUNqQixRQUFRLEVBQUUsQ0FBQztZQUNYLE9BQU87U0FDUjtRQUVELElBQUksQ0FBQyxRQUFRLEdBQUcsSUFBSSxDQUFDLFNBQVMsR0FBRyxFQUFDLENBQUMsRUFBRSxLQUFLLENBQUMsT0FBTyxFQUFFLENBQUMsRUFBRSxLQUFLLENBQUMsT0FBTyxFQUFDLENBQUM7UUFFdEUsSUFBSSxDQUFDLE9BQU8sQ0FBQyxpQkFBaUIsQ0FBQyxHQUFHLEVBQUU7WUFDbEMsTUFBTSxRQUFRLEdBQUcsQ0FBQyxTQUFxQixFQUFFLEVBQUU7Z0JBQ3pDLElBQUksQ0FBQyxRQUFRLEdBQUcsRUFBQyxDQUFDLEVBQUUsU0FBUyxDQUFDLE9BQU8sRUFBRSxDQUFDLEVBQUUsU0FBUyxDQUFDLE9BQU8sRUFBQyxDQUFDO1lBQy9ELENBQUMsQ0FBQztZQUVGLElBQUksQ0FBQyxRQUFRLENBQUMsZ0JBQWdCLENBQUMsV0FBVyxFQUFFLFFBQVEsQ0FBQyxDQUFDO1lBQ3RELElBQUksQ0FBQyxtQkFBbUIsR0FBRyxHQUFHLEVBQUUsQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLG1CQUFtQixDQUFDLFdBQVcsRUFBRSxRQUFRLENBQUMsQ0FBQztZQUMxRixJQUFJLENBQUMsZUFBZSxDQUFDLFdBQVcsRUFBRSxRQUFRLEVBQUUsUUFBUSxDQUFDLENBQUM7UUFDeEQsQ0FBQyxDQUFDLENBQUM7SUFDTCxDQUFDO0lBRUQsZ0VBQWdFO0lBQ2hFLElBQUk7UUFDRixJQUFJLElBQUksQ0FBQyxVQUFVLEtBQUssSUFBSSxFQUFFO1lBQzVCLFlBQVksQ0FBQyxJQUFJLENBQUMsVUFBVSxDQUFDLENBQUM7WUFDOUIsSUFBSSxDQUFDLFVBQVUsR0FBRyxJQUFJLENBQUM7U0FDeEI7UUFFRCxJQUFJLElBQUksQ0FBQyxtQkFBbUIsRUFBRTtZQUM1QixJQUFJLENBQUMsbUJBQW1CLEVBQUUsQ0FBQztZQUMzQixJQUFJLENBQUMsbUJBQW1CLEdBQUcsSUFBSSxDQUFDO1NBQ2pDO0lBQ0gsQ0FBQztJQUVELG1GQUFtRjtJQUMzRSxlQUFlLENBQUMsV0FBbUIsRUFBRSxRQUFnQixFQUFFLFFBQW9CO1FBQ2pGLElBQUksQ0FBQyxVQUFVLEdBQUcsVUFBVSxDQUFDLEdBQUcsRUFBRTtZQUNoQyxNQUFNLE9BQU8sR0FBRyxJQUFJLENBQUMsUUFBUSxDQUFDO1lBQzlCLE1BQU0sUUFBUSxHQUFHLElBQUksQ0FBQyxTQUFTLENBQUM7WUFFaEMsSUFBSSxJQUFJLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxDQUFDLEdBQUcsUUFBUSxDQUFDLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLENBQUMsR0FBRyxRQUFRLENBQUMsQ0FBQyxDQUFDLEdBQUcsV0FBVyxFQUFFO2dCQUNyRixJQUFJLENBQUMsSUFBSSxFQUFFLENBQUM7Z0JBQ1osSUFBSSxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsUUFBUSxDQUFDLENBQUM7YUFDNUI7aUJBQU07Z0JBQ0wsSUFBSSxDQUFDLFNBQVMsR0FBRyxPQUFPLENBQUM7Z0JBQ3pCLElBQUksQ0FBQyxlQUFlLENBQUMsV0FBVyxFQUFFLFFBQVEsRUFBRSxRQUFRLENBQUMsQ0FBQzthQUN2RDtRQUNILENBQUMsRUFBRSxRQUFRLENBQUMsQ0FBQztJQUNmLENBQUM7Q0FDRiIsInNvdXJjZXNDb250ZW50IjpbIi8qKlxuICogQGxpY2Vuc2VcbiAqIENvcHlyaWdodCBHb29nbGUgTExDIEFsbCBSaWdodHMgUmVzZXJ2ZWQuXG4gKlxuICogVXNlIG9mIHRoaXMgc291cmNlIGNvZGUgaXMgZ292ZXJuZWQgYnkgYW4gTUlULXN0eWxlIGxpY2Vuc2UgdGhhdCBjYW4gYmVcbiAqIGZvdW5kIGluIHRoZSBMSUNFTlNFIGZpbGUgYXQgaHR0cHM6Ly9hbmd1bGFyLmlvL2xpY2Vuc2VcbiAqL1xuXG5pbXBvcnQge05nWm9uZX0gZnJvbSAnQGFuZ3VsYXIvY29yZSc7XG5cbi8qKlxuICogVHJhY2tzIHRoZSBwb2ludGVyIHdoaWxlIGl0IGlzIG92ZXIgYW4gZWxlbWVudCBhbmQgcmVwb3J0cyBvbmNlIGl0IGhhcyBzbG93ZWQgZG93biBlbm91Z2ggdG9cbiAqIGluZGljYXRlIHRoYXQgdGhlIHVzZXIgaW50ZW5kcyB0byBpbnRlcmFjdCB3aXRoIHRoZSBlbGVtZW50LCByYXRoZXIgdGhhbiBwYXNzaW5nIG92ZXIgaXQuXG4gKiBAZG9jcy1wcml2YXRlXG4gKi9cbmV4cG9ydCBjbGFzcyBIb3ZlckludGVudCB7XG4gIC8qKiBNb3N0IHJlY2VudCBjb29yZGluYXRlcyBvZiB0aGUgcG9pbnRlci4gKi9cbiAgcHJpdmF0ZSBfY3VycmVudCA9IHt4OiAwLCB5OiAwfTtcblxuICAvKiogQ29vcmRpbmF0ZXMgb2YgdGhlIHBvaW50ZXIgYXQgdGhlIHByZXZpb3VzIHNhbXBsZS4gKi9cbiAgcHJpdmF0ZSBfcHJldmlvdXMgPSB7eDogMCwgeTogMH07XG5cbiAgLyoqIElEIG9mIHRoZSB0aW1lb3V0IGZvciB0aGUgbmV4dCBzYW1wbGUuICovXG4gIHByaXZhdGUgX3RpbWVvdXRJZDogbnVtYmVyIHwgbnVsbCA9IG51bGw7XG5cbiAgLyoqIFJlbW92ZXMgdGhlIGBtb3VzZW1vdmVgIGxpc3RlbmVyIGZyb20gdGhlIGVsZW1lbnQuICovXG4gIHByaXZhdGUgX3JlbW92ZU1vdmVMaXN0ZW5lcjogKCgpID0+IHZvaWQpIHwgbnVsbCA9IG51bGw7XG5cbiAgY29uc3RydWN0b3IocHJpdmF0ZSByZWFkb25seSBfZWxlbWVudDogSFRNTEVsZW1lbnQsIHByaXZhdGUgcmVhZG9ubHkgX25nWm9uZTogTmdab25lKSB7fVxuXG4gIC8qKlxuICAgKiBTdGFydHMgdHJhY2tpbmcgdGhlIHBvaW50ZXIsIHJlcGxhY2luZyBhbnkgdHJhY2tpbmcgdGhhdCB3YXMgaW4gcHJvZ3Jlc3MuXG4gICAqIEBwYXJhbSBldmVudCBFdmVudCB0aGF0IHN0YXJ0ZWQgdGhlIGhvdmVyLCB1c3VhbGx5IGBtb3VzZWVudGVyYC5cbiAgICogQHBhcmFtIHNlbnNpdGl2aXR5IERpc3RhbmNlIGluIHBpeGVscyB0aGF0IHRoZSBwb2ludGVyIGNhbiB0cmF2ZWwgd2l0aGluIG9uZSBpbnRlcnZhbFxuICAgKiAgICB3aGlsZSBzdGlsbCBiZWluZyBjb25zaWRlcmVkIHRvIGJlIHJlc3Rpbmcgb24gdGhlIGVsZW1lbnQuXG4gICAqIEBwYXJhbSBpbnRlcnZhbCBJbnRlcnZhbCBpbiBtaWxsaXNlY29uZHMgYXQgd2hpY2ggdGhlIHBvaW50ZXIncyBzcGVlZCBpcyBzYW1wbGVkLlxuICAgKiBAcGFyYW0gY2FsbGJhY2sgSW52b2tlZCBpbnNpZGUgdGhlIE5nWm9uZSBvbmNlIHRoZSBwb2ludGVyIGhhcyBzbG93ZWQgZG93bi5cbiAgICovXG4gIHRyYWNrKGV2ZW50OiBNb3VzZUV2ZW50LCBzZW5zaXRpdml0eTogbnVtYmVyLCBpbnRlcnZhbDogbnVtYmVyLCBjYWxsYmFjazogKCkgPT4gdm9pZCkge1xuICAgIHRoaXMuc3RvcCgpO1xuXG4gICAgaWYgKGludGVydmFsIDw9IDApIHtcbiAgICAgIGNhbGxiYWNrKCk7XG4gICAgICByZXR1cm47XG4gICAgfVxuXG4gICAgdGhpcy5fY3VycmVudCA9IHRoaXMuX3ByZXZpb3VzID0ge3g6IGV2ZW50LmNsaWVudFgsIHk6IGV2ZW50LmNsaWVudFl9O1xuXG4gICAgdGhpcy5fbmdab25lLnJ1bk91dHNpZGVBbmd1bGFyKCgpID0+IHtcbiAgICAgIGNvbnN0IGxpc3RlbmVyID0gKG1vdmVFdmVudDogTW91c2VFdmVudCkgPT4ge1xuICAgICAgICB0aGlzLl9jdXJyZW50ID0ge3g6IG1vdmVFdmVudC5jbGllbnRYLCB5OiBtb3ZlRXZlbnQuY2xpZW50WX07XG4gICAgICB9O1xuXG4gICAgICB0aGlzLl9lbGVtZW50LmFkZEV2ZW50TGlzdGVuZXIoJ21vdXNlbW92ZScsIGxpc3RlbmVyKTtcbiAgICAgIHRoaXMuX3JlbW92ZU1vdmVMaXN0ZW5lciA9ICgpID0+IHRoaXMuX2VsZW1lbnQucmVtb3ZlRXZlbnRMaXN0ZW5lcignbW91c2Vtb3ZlJywgbGlzdGVuZXIpO1xuICAgICAgdGhpcy5fc2NoZWR1bGVTYW1wbGUoc2Vuc2l0aXZpdHksIGludGVydmFsLCBjYWxsYmFjayk7XG4gICAgfSk7XG4gIH1cblxuICAvKiogU3RvcHMgdHJhY2tpbmcgdGhlIHBvaW50ZXIgd2l0aG91dCBpbnZva2luZyB0aGUgY2FsbGJhY2suICovXG4gIHN0b3AoKSB7XG4gICAgaWYgKHRoaXMuX3RpbWVvdXRJZCAhPT0gbnVsbCkge1xuICAgICAgY2xlYXJUaW1lb3V0KHRoaXMuX3RpbWVvdXRJZCk7XG4gICAgICB0aGlzLl90aW1lb3V0SWQgPSBudWxsO1xuICAgIH1cblxuICAgIGlmICh0aGlzLl9yZW1vdmVNb3ZlTGlzdGVuZXIpIHtcbiAgICAgIHRoaXMuX3JlbW92ZU1vdmVMaXN0ZW5lcigpO1xuICAgICAgdGhpcy5fcmVtb3ZlTW92ZUxpc3RlbmVyID0gbnVsbDtcbiAgICB9XG4gIH1cblxuICAvKiogQ29tcGFyZXMgdGhlIHBvaW50ZXIncyBwb3NpdGlvbiBhZnRlciBvbmUgaW50ZXJ2YWwgdG8gaXRzIHByZXZpb3VzIHBvc2l0aW9uLiAqL1xuICBwcml2YXRlIF9zY2hlZHVsZVNhbXBsZShzZW5zaXRpdml0eTogbnVtYmVyLCBpbnRlcnZhbDogbnVtYmVyLCBjYWxsYmFjazogKCkgPT4gdm9pZCkge1xuICAgIHRoaXMuX3RpbWVvdXRJZCA9IHNldFRpbWVvdXQoKCkgPT4ge1xuICAgICAgY29uc3QgY3VycmVudCA9IHRoaXMuX2N1cnJlbnQ7XG4gICAgICBjb25zdCBwcmV2aW91cyA9IHRoaXMuX3ByZXZpb3VzO1xuXG4gICAgICBpZiAoTWF0aC5hYnMoY3VycmVudC54IC0gcHJldmlvdXMueCkgKyBNYXRoLmFicyhjdXJyZW50LnkgLSBwcmV2aW91cy55KSA8IHNlbnNpdGl2aXR5KSB7XG4gICAgICAgIHRoaXMuc3RvcCgpO1xuICAgICAgICB0aGlzLl9uZ1pvbmUucnVuKGNhbGxiYWNrKTtcbiAgICAgIH0gZWxzZSB7XG4gICAgICAgIHRoaXMuX3ByZXZpb3VzID0gY3VycmVudDtcbiAgICAgICAgdGhpcy5fc2NoZWR1bGVTYW1wbGUoc2Vuc2l0aXZpdHksIGludGVydmFsLCBjYWxsYmFjayk7XG4gICAgICB9XG4gICAgfSwgaW50ZXJ2YWwpO1xuICB9XG59XG4iXX0=
\ No newline at end of file
@@ -0,0 +1,133 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { FocusMonitor } from '@angular/cdk/a11y';
+import { Directionality } from '@angular/cdk/bidi';
+import { Overlay, ScrollDispatcher } from '@angular/cdk/overlay';
+import { Platform } from '@angular/cdk/platform';
+import { TemplatePortal } from '@angular/cdk/portal';
+import { DOCUMENT } from '@angular/common';
+import { Directive, ElementRef, EventEmitter, Inject, Input, NgZone, Optional, Output, ViewContainerRef, } from '@angular/core';
+import { takeUntil } from 'rxjs/operators';
+import { CdkTooltipBase } from './tooltip-base';
+import { CDK_TOOLTIP_DEFAULT_OPTIONS, CDK_TOOLTIP_SCROLL_STRATEGY, } from './tooltip-config';
+/** Counter used to create unique IDs for popovers. */
+let nextId = 0;
+/**
+ * Directive that shows the content of a template in an overlay next to the host element. Unlike a
+ * tooltip, the content of a popover can be interactive. By default the popover is toggled when
+ * the host element is clicked and it is hidden when the user clicks outside of it or presses
+ * the escape key. Popovers that are triggered on hover behave like a tooltip instead, while
+ * still allowing the user to move the pointer or focus into them.
+ */
+export class CdkPopover extends CdkTooltipBase {
+    constructor(overlay, elementRef, ngZone, scrollDispatcher, platform, focusMonitor, _viewContainerRef, scrollStrategy, document, dir, defaultOptions) {
+        super(overlay, elementRef, ngZone, scrollDispatcher, platform, focusMonitor, scrollStrategy, document, dir, defaultOptions);
+        this._viewContainerRef = _viewContainerRef;
+        this._template = null;
+        /** Interaction that shows the popover. */
+        this.triggerOn = 'click';
+        /** Unique ID of the overlay pane that renders the popover. */
+        this.panelId = `cdk-popover-${nextId++}`;
+        /** Emits when the popover has been shown. */
+        this.shown = new EventEmitter();
+        /** Emits when the popover has been hidden. */
+        this.hidden = new EventEmitter();
+        this._classPrefix = 'cdk-popover';
+        /** Portal used to render the template. */
+        this._portal = null;
+    }
+    /** Template that is rendered inside of the popover. */
+    get template() { return this._template; }
+    set template(value) {
+        if (value !== this._template) {
+            this.hide(0);
+            this._template = value;
+            this._portal = null;
+        }
+    }
+    /** Toggles the popover when the trigger is clicked, if it is shown on click. */
+    _handleClick() {
+        if (this.triggerOn === 'click') {
+            this.toggle();
+        }
+    }
+    _hasContent() {
+        return !!this._template;
+    }
+    _showsOnHoverAndFocus() {
+        return this.triggerOn === 'hover';
+    }
+    _onOverlayCreated(overlayRef) {
+        const pane = overlayRef.overlayElement;
+        pane.id = this.panelId;
+        pane.setAttribute('role', 'dialog');
+        overlayRef.outsidePointerEvents().pipe(takeUntil(this._destroyed)).subscribe(event => {
+            if (!this._elementRef.nativeElement.contains(event.target)) {
+                this._ngZone.run(() => this.hide(0));
+            }
+        });
+    }
+    _attachContent(overlayRef) {
+        if (!this._portal) {
+            this._portal = new TemplatePortal(this._template, this._viewContainerRef);
+        }
+        overlayRef.attach(this._portal);
+        this.shown.emit();
+    }
+    _onDetached() {
+        this.hidden.emit();
+    }
+    /** Hides the popover, moving focus back to the trigger if it was inside the popover. */
+    _handleEscape() {
+        const shouldRestoreFocus = this._isInsidePanel(this._document.activeElement);
+        this.hide(0);
+        if (shouldRestoreFocus) {
+            this._elementRef.nativeElement.focus();
+        }
+    }
+}
+CdkPopover.decorators = [
+    { type: Directive, args: [{
+                selector: '[cdkPopover]',
+                exportAs: 'cdkPopover',
+                inputs: [
+                    'position: cdkPopoverPosition',
+                    'disabled: cdkPopoverDisabled',
+                    'showDelay: cdkPopoverShowDelay',
+                    'hideDelay: cdkPopoverHideDelay',
+                    'panelClass: cdkPopoverPanelClass',
+                ],
+                host: {
+                    'class': 'cdk-popover-trigger',
+                    'aria-haspopup': 'dialog',
+                    '[attr.aria-expanded]': 'isShown()',
+                    '[attr.aria-controls]': 'isShown() ? panelId : null',
+                    '(click)': '_handleClick()',
+                },
+            },] }
+];
+CdkPopover.ctorParameters = () => [
+    { type: Overlay },
+    { type: ElementRef },
+    { type: NgZone },
+    { type: ScrollDispatcher },
+    { type: Platform },
+    { type: FocusMonitor },
+    { type: ViewContainerRef },
+    { type: undefined, decorators: [{ type: Inject, args: [CDK_TOOLTIP_SCROLL_STRATEGY,] }] },
+    { type: undefined, decorators: [{ type: Inject, args: [DOCUMENT,] }] },
+    { type: Directionality, decorators: [{ type: Optional }] },
+    { type: undefined, decorators: [{ type: Optional }, { type: Inject, args: [CDK_TOOLTIP_DEFAULT_OPTIONS,] }] }
+];
+CdkPopover.propDecorators = {
+    template: [{ type: Input, args: ['cdkPopover',] }],
+    triggerOn: [{ type: Input, args: ['cdkPopoverTriggerOn',] }],
+    shown: [{ type: Output, args: ['cdkPopoverShown',] }],
+    hidden: [{ type: Output, args: ['cdkPopoverHidden',] }]
+};
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoicG9wb3Zlci5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbIi4uLy4uLy4uLy4uLy4uLy4uL3NyYy9jZGsvdG9vbHRpcC9wb3BvdmVyLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBOzs7Ozs7R0FNRztBQUVILE9BQU8sRUFBQyxZQUFZLEVBQUMsTUFBTSxtQkFBbUIsQ0FBQztBQUMvQyxPQUFPLEVBQUMsY0FBYyxFQUFDLE1BQU0sbUJBQW1CLENBQUM7QUFDakQsT0FBTyxFQUFDLE9BQU8sRUFBYyxnQkFBZ0IsRUFBQyxNQUFNLHNCQUFzQixDQUFDO0FBQzNFLE9BQU8sRUFBQyxRQUFRLEVBQUMsTUFBTSx1QkFBdUIsQ0FBQztBQUMvQyxPQUFPLEVBQUMsY0FBYyxFQUFDLE1BQU0scUJBQXFCLENBQUM7QUFDbkQsT0FBTyxFQUFDLFFBQVEsRUFBQyxNQUFNLGlCQUFpQixDQUFDO0FBQ3pDLE9BQU8sRUFDTCxTQUFTLEVBQ1QsVUFBVSxFQUNWLFlBQVksRUFDWixNQUFNLEVBQ04sS0FBSyxFQUNMLE1BQU0sRUFDTixRQUFRLEVBQ1IsTUFBTSxFQUVOLGdCQUFnQixHQUNqQixNQUFNLGVBQWUsQ0FBQztBQUN2QixPQUFPLEVBQUMsU0FBUyxFQUFDLE1BQU0sZ0JBQWdCLENBQUM7QUFDekMsT0FBTyxFQUFDLGNBQWMsRUFBQyxNQUFNLGdCQUFnQixDQUFDO0FBQzlDLE9BQU8sRUFDTCwyQkFBMkIsRUFDM0IsMkJBQTJCLEdBRTVCLE1BQU0sa0JBQWtCLENBQUM7QUFFMUIsc0RBQXNEO0FBQ3RELElBQUksTUFBTSxHQUFHLENBQUMsQ0FBQztBQUtmOzs7Ozs7R0FNRztBQW1CSCxNQUFNLE9BQU8sVUFBVyxTQUFRLGNBQWM7SUE4QjVDLFlBQ0UsT0FBZ0IsRUFDaEIsVUFBbUMsRUFDbkMsTUFBYyxFQUNkLGdCQUFrQyxFQUNsQyxRQUFrQixFQUNsQixZQUEwQixFQUNULGlCQUFtQyxFQUNmLGNBQW1CLEVBQ3RDLFFBQWEsRUFDbkIsR0FBb0IsRUFDaUIsY0FBeUM7UUFDMUYsS0FBSyxDQUFDLE9BQU8sRUFBRSxVQUFVLEVBQUUsTUFBTSxFQUFFLGdCQUFnQixFQUFFLFFBQVEsRUFBRSxZQUFZLEVBQ3JFLGNBQWMsRUFBRSxRQUFRLEVBQUUsR0FBRyxFQUFFLGNBQWMsQ0FBQyxDQUFDO1FBTnBDLHNCQUFpQixHQUFqQixpQkFBaUIsQ0FBa0I7UUExQjlDLGNBQVMsR0FBZ0MsSUFBSSxDQUFDO1FBRXRELDBDQUEwQztRQUNaLGNBQVMsR0FBbUIsT0FBTyxDQUFDO1FBRWxFLDhEQUE4RDtRQUNyRCxZQUFPLEdBQUcsZUFBZSxNQUFNLEVBQUUsRUFBRSxDQUFDO1FBRTdDLDZDQUE2QztRQUNULFVBQUssR0FBdUIsSUFBSSxZQUFZLEVBQUUsQ0FBQztRQUVuRiw4Q0FBOEM7UUFDVCxXQUFNLEdBQXVCLElBQUksWUFBWSxFQUFFLENBQUM7UUFFbEUsaUJBQVksR0FBRyxhQUFhLENBQUM7UUFFaEQsMENBQTBDO1FBQ2xDLFlBQU8sR0FBMEIsSUFBSSxDQUFDO0lBZ0I5QyxDQUFDO0lBM0NELHVEQUF1RDtJQUN2RCxJQUNJLFFBQVEsS0FBa0MsT0FBTyxJQUFJLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQztJQUN0RSxJQUFJLFFBQVEsQ0FBQyxLQUFrQztRQUM3QyxJQUFJLEtBQUssS0FBSyxJQUFJLENBQUMsU0FBUyxFQUFFO1lBQzVCLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUM7WUFDYixJQUFJLENBQUMsU0FBUyxHQUFHLEtBQUssQ0FBQztZQUN2QixJQUFJLENBQUMsT0FBTyxHQUFHLElBQUksQ0FBQztTQUNyQjtJQUNILENBQUM7SUFvQ0QsZ0ZBQWdGO0lBQ2hGLFlBQVk7UUFDVixJQUFJLElBQUksQ0FBQyxTQUFTLEtBQUssT0FBTyxFQUFFO1lBQzlCLElBQUksQ0FBQyxNQUFNLEVBQUUsQ0FBQztTQUNmO0lBQ0gsQ0FBQztJQUVTLFdBQVc7UUFDbkIsT0FBTyxDQUFDLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQztJQUMxQixDQUFDO0lBRVMscUJBQXFCO1FBQzdCLE9BQU8sSUFBSSxDQUFDLFNBQVMsS0FBSyxPQUFPLENBQUM7SUFDcEMsQ0FBQztJQUVTLGlCQUFpQixDQUFDLFVBQXNCO1FBQ2hELE1BQU0sSUFBSSxHQUFHLFVBQVUsQ0FBQyxjQUFjLENBQUM7UUFDdkMsSUFBSSxDQUFDLEVBQUUsR0FBRyxJQUFJLENBQUMsT0FBTyxDQUFDO1FBQ3ZCLElBQUksQ0FBQyxZQUFZLENBQUMsTUFBTSxFQUFFLFFBQVEsQ0FBQyxDQUFDO1FBRXBDLFVBQVUsQ0FBQyxvQkFBb0IsRUFBRSxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLEtBQUssQ0FBQyxFQUFFO1lBQ25GLElBQUksQ0FBQyxJQUFJLENBQUMsV0FBVyxDQUFDLGFBQWEsQ0FBQyxRQUFRLENBQUMsS0FBSyxDQUFDLE1BQWMsQ0FBQyxFQUFFO2dCQUNsRSxJQUFJLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7YUFDdEM7UUFDSCxDQUFDLENBQUMsQ0FBQztJQUNMLENBQUM7SUFFUyxjQUFjLENBQUMsVUFBc0I7UUFDN0MsSUFBSSxDQUFDLElBQUksQ0FBQyxPQUFPLEVBQUU7WUFDakIsSUFBSSxDQUFDLE9BQU8sR0FBRyxJQUFJLGNBQWMsQ0FBQyxJQUFJLENBQUMsU0FBVSxFQUFFLElBQUksQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDO1NBQzVFO1FBRUQsVUFBVSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUM7UUFDaEMsSUFBSSxDQUFDLEtBQUssQ0FBQyxJQUFJLEVBQUUsQ0FBQztJQUNwQixDQUFDO0lBRVMsV0FBVztRQUNuQixJQUFJLENBQUMsTUFBTSxDQUFDLElBQUksRUFBRSxDQUFDO0lBQ3JCLENBQUM7SUFFRCx3RkFBd0Y7SUFDOUUsYUFBYTtRQUNyQixNQUFNLGtCQUFrQixHQUFHLElBQUksQ0FBQyxjQUFjLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxhQUFhLENBQUMsQ0FBQztRQUM3RSxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBRWIsSUFBSSxrQkFBa0IsRUFBRTtZQUN0QixJQUFJLENBQUMsV0FBVyxDQUFDLGFBQWEsQ0FBQyxLQUFLLEVBQUUsQ0FBQztTQUN4QztJQUNILENBQUM7OztZQWhIRixTQUFTLFNBQUM7Z0JBQ1QsUUFBUSxFQUFFLGNBQWM7Z0JBQ3hCLFFBQVEsRUFBRSxZQUFZO2dCQUN0QixNQUFNLEVBQUU7b0JBQ04sOEJBQThCO29CQUM5Qiw4QkFBOEI7b0JBQzlCLGdDQUFnQztvQkFDaEMsZ0NBQWdDO29CQUNoQyxrQ0FBa0M7aUJBQ25DO2dCQUNELElBQUksRUFBRTtvQkFDSixPQUFPLEVBQUUscUJBQXFCO29CQUM5QixlQUFlLEVBQUUsUUFBUTtvQkFDekIsc0JBQXNCLEVBQUUsV0FBVztvQkFDbkMsc0JBQXNCLEVBQUUsNEJBQTRCO29CQUNwRCxTQUFTLEVBQUUsZ0JBQWdCO2lCQUM1QjthQUNGOzs7WUF0RE8sT0FBTztZQU1iLFVBQVU7WUFJVixNQUFNO1lBVnFCLGdCQUFnQjtZQUNyQyxRQUFRO1lBSFIsWUFBWTtZQWdCbEIsZ0JBQWdCOzRDQStFYixNQUFNLFNBQUMsMkJBQTJCOzRDQUNsQyxNQUFNLFNBQUMsUUFBUTtZQS9GWixjQUFjLHVCQWdHakIsUUFBUTs0Q0FDUixRQUFRLFlBQUksTUFBTSxTQUFDLDJCQUEyQjs7O3VCQXZDaEQsS0FBSyxTQUFDLFlBQVk7d0JBWWxCLEtBQUssU0FBQyxxQkFBcUI7b0JBTTNCLE1BQU0sU0FBQyxpQkFBaUI7cUJBR3hCLE1BQU0sU0FBQyxrQkFBa0IiLCJzb3VyY2VzQ29udGVudCI6WyIvKipcbiAqIEBsaWNlbnNlXG4gKiBDb3B5cmlnaHQgR29vZ2xlIExMQyBBbGwgUmlnaHRzIFJlc2VydmVkLlxuICpcbiAqIFVzZSBvZiB0aGlzIHNvdXJjZSBjb2RlIGlzIGdvdmVybmVkIGJ5IGFuIE1JVC1zdHlsZSBsaWNlbnNlIHRoYXQgY2FuIGJlXG4gKiBmb3VuZCBpbiB0aGUgTElDRU5TRSBmaWxlIGF0IGh0dHBzOi8vYW5ndWxhci5pby9saWNlbnNlXG4gKi9cblxuaW1wb3J0IHtGb2N1c01vbml0b3J9IGZyb20gJ0Bhbmd1bGFyL2Nkay9hMTF5JztcbmltcG9ydCB7RGlyZWN0aW9uYWxpdHl9IGZyb20gJ0Bhbmd1bGFyL2Nkay9iaWRpJztcbmltcG9ydCB7T3ZlcmxheSwgT3ZlcmxheVJlZiwgU2Nyb2xsRGlzcGF0Y2hlcn0gZnJvbSAnQGFuZ3VsYXIvY2RrL292ZXJsYXknO1xuaW1wb3J0IHtQbGF0Zm9ybX0gZnJvbSAnQGFuZ3VsYXIvY2RrL3BsYXRmb3JtJztcbmltcG9ydCB7VGVtcGxhdGVQb3J0YWx9IGZyb20gJ0Bhbmd1bGFyL2Nkay9wb3J0YWwnO1xuaW1wb3J0IHtET0NVTUVOVH0gZnJvbSAnQGFuZ3VsYXIvY29tbW9uJztcbmltcG9ydCB7XG4gIERpcmVjdGl2ZSxcbiAgRWxlbWVudFJlZixcbiAgRXZlbnRFbWl0dGVyLFxuICBJbmplY3QsXG4gIElucHV0LFxuICBOZ1pvbmUsXG4gIE9wdGlvbmFsLFxuICBPdXRwdXQsXG4gIFRlbXBsYXRlUmVmLFxuICBWaWV3Q29udGFpbmVyUmVmLFxufSBmcm9tICdAYW5ndWxhci9jb3JlJztcbmltcG9ydCB7dGFrZVVudGlsfSBmcm9tICdyeGpzL29wZXJhdG9ycyc7XG5pbXBvcnQge0Nka1Rvb2x0aXBCYXNlfSBmcm9tICcuL3Rvb2x0aXAtYmFzZSc7XG5pbXBvcnQge1xuICBDREtfVE9PTFRJUF9ERUZBVUxUX09QVElPTlMsXG4gIENES19UT09MVElQX1NDUk9MTF9TVFJBVEVHWSxcbiAgQ2RrVG9vbHRpcERlZmF1bHRPcHRpb25zLFxufSBmcm9tICcuL3Rvb2x0aXAtY29uZmlnJztcblxuLyoqIENvdW50ZXIgdXNlZCB0byBjcmVhdGUgdW5pcXVlIElEcyBmb3IgcG9wb3ZlcnMuICovXG5sZXQgbmV4dElkID0gMDtcblxuLyoqIEludGVyYWN0aW9uIHRoYXQgc2hvd3MgYSBwb3BvdmVyLiAqL1xuZXhwb3J0IHR5cGUgUG9wb3ZlclRyaWdnZXIgPSAnY2xpY2snIHwgJ2hvdmVyJztcblxuLyoqXG4gKiBEaXJlY3RpdmUgdGhhdCBzaG93cyB0aGUgY29udGVudCBvZiBhIHRlbXBsYXRlIGluIGFuIG92ZXJsYXkgbmV4dCB0byB0aGUgaG9zdCBlbGVtZW50LiBVbmxpa2UgYVxuICogdG9vbHRpcCwgdGhlIGNvbnRlbnQgb2YgYSBwb3BvdmVyIGNhbiBiZSBpbnRlcmFjdGl2ZS4gQnkgZGVmYXVsdCB0aGUgcG9wb3ZlciBpcyB0b2dnbGVkIHdoZW5cbiAqIHRoZSBob3N0IGVsZW1lbnQgaXMgY2xpY2tlZCBhbmQgaXQgaXMgaGlkZGVuIHdoZW4gdGhlIHVzZXIgY2xpY2tzIG91dHNpZGUgb2YgaXQgb3IgcHJlc3Nlc1xuICogdGhlIGVzY2FwZSBrZXkuIFBvcG92ZXJzIHRoYXQgYXJlIHRyaWdnZXJlZCBvbiBob3ZlciBiZWhhdmUgbGlrZSBhIHRvb2x0aXAgaW5zdGVhZCwgd2hpbGVcbiAqIHN0aWxsIGFsbG93aW5nIHRoZSB1c2VyIHRvIG1vdmUgdGhlIHBvaW50ZXIgb3IgZm9jdXMgaW50byB0aGVtLlxuICovXG5ARGlyZWN0aXZlKHtcbiAgc2VsZWN0b3I6ICdbY2RrUG9wb3Zlcl0nLFxuICBleHBvcnRBczogJ2Nka1BvcG92ZXInLFxuICBpbnB1dHM6IFtcbiAgICAncG9zaXRpb246IGNka1BvcG92ZXJQb3NpdGlvbicsXG4gICAgJ2Rpc2FibGVkOiBjZGtQb3BvdmVyRGlzYWJsZWQnLFxuICAgICdzaG93RGVsYXk6IGNka1BvcG92ZXJTaG93RGVsYXknLFxuICAgICdoaWRlRGVsYXk6IGNka1BvcG92ZXJIaWRlRGVsYXknLFxuICAgICdwYW5lbENsYXNzOiBjZGtQb3BvdmVyUGFuZWxDbGFzcycsXG4gIF0sXG4gIGhvc3Q6IHtcbiAgICAnY2xhc3MnOiAnY2RrLXBvcG92ZXItdHJpZ2dlcicsXG4gICAgJ2FyaWEtaGFzcG9wdXAnOiAnZGlhbG9nJyxcbiAgICAnW2F0dHIuYXJpYS1leHBhbmRlZF0nOiAnaXNTaG93bigpJyxcbiAgICAnW2F0dHIuYXJpYS1jb250cm9sc10nOiAnaXNTaG93bigpID8gcGFuZWxJZCA6IG51bGwnLFxuICAgICcoY2xpY2spJzogJ19oYW5kbGVDbGljaygpJyxcbiAgfSxcbn0pXG5leHBvcnQgY2xhc3MgQ2RrUG9wb3ZlciBleHRlbmRzIENka1Rvb2x0aXBCYXNlIHtcbiAgLyoqIFRlbXBsYXRlIHRoYXQgaXMgcmVuZGVyZWQgaW5zaWRlIG9mIHRoZSBwb3BvdmVyLiAqL1xuICBASW5wdXQoJ2Nka1BvcG92ZXInKVxuICBnZXQgdGVtcGxhdGUoKTogVGVtcGxhdGVSZWY8dW5rbm93bj4gfCBudWxsIHsgcmV0dXJuIHRoaXMuX3RlbXBsYXRlOyB9XG4gIHNldCB0ZW1wbGF0ZSh2YWx1ZTogVGVtcGxhdGVSZWY8dW5rbm93bj4gfCBudWxsKSB7XG4gICAgaWYgKHZhbHVlICE9PSB0aGlzLl90ZW1wbGF0ZSkge1xuICAgICAgdGhpcy5oaWRlKDApO1xuICAgICAgdGhpcy5fdGVtcGxhdGUgPSB2YWx1ZTtcbiAgICAgIHRoaXMuX3BvcnRhbCA9IG51bGw7XG4gICAgfVxuICB9XG4gIHByaXZhdGUgX3RlbXBsYXRlOiBUZW1wbGF0ZVJlZjx1bmtub3duPiB8IG51bGwgPSBudWxsO1xuXG4gIC8qKiBJbnRlcmFjdGlvbiB0aGF0IHNob3dzIHRoZSBwb3BvdmVyLiAqL1xuICBASW5wdXQoJ2Nka1BvcG92ZXJUcmlnZ2VyT24nKSB0cmlnZ2VyT246IFBvcG92ZXJUcmlnZ2VyID0gJ2NsaWNrJztcblxuICAvKiogVW5pcXVlIElEIG9mIHRoZSBvdmVybGF5IHBhbmUgdGhhdCByZW5kZXJzIHRoZSBwb3BvdmVyLiAqL1xuICByZWFkb25seSBwYW5lbElkID0gYGNkay1wb3BvdmVyLSR7bmV4dElkKyt9YDtcblxuICAvKiogRW1pdHMgd2hlbiB0aGUgcG9wb3ZlciBoYXMgYmVlbiBzaG93bi4gKi9cbiAgQE91dHB1dCgnY2RrUG9wb3ZlclNob3duJykgcmVhZG9ubHkgc2hvd246IEV2ZW50RW1pdHRlcjx2b2lkPiA9IG5ldyBFdmVudEVtaXR0ZXIoKTtcblxuICAvKiogRW1pdHMgd2hlbiB0aGUgcG9wb3ZlciBoYXMgYmVlbiBoaWRkZW4uICovXG4gIEBPdXRwdXQoJ2Nka1BvcG92ZXJIaWRkZW4nKSByZWFkb25seSBoaWRkZW46IEV2ZW50RW1pdHRlcjx2b2lkPiA9IG5ldyBFdmVudEVtaXR0ZXIoKTtcblxuICBwcm90ZWN0ZWQgcmVhZG9ubHkgX2NsYXNzUHJlZml4ID0gJ2Nkay1wb3BvdmVyJztcblxuICAvKiogUG9ydGFsIHVzZWQgdG8gcmVuZGVyIHRoZSB0ZW1wbGF0ZS4gKi9cbiAgcHJpdmF0ZSBfcG9ydGFsOiBUZW1wbGF0ZVBvcnRhbCB8IG51bGwgPSBudWxsO1xuXG4gIGNvbnN0cnVjdG9yKFxuICAgIG92ZXJsYXk6IE92ZXJsYXksXG4gICAgZWxlbWVudFJlZjogRWxlbWVudFJlZjxIVE1MRWxlbWVudD4sXG4gICAgbmdab25lOiBOZ1pvbmUsXG4gICAgc2Nyb2xsRGlzcGF0Y2hlcjogU2Nyb2xsRGlzcGF0Y2hlcixcbiAgICBwbGF0Zm9ybTogUGxhdGZvcm0sXG4gICAgZm9jdXNNb25pdG9yOiBGb2N1c01vbml0b3IsXG4gICAgcHJpdmF0ZSByZWFkb25seSBfdmlld0NvbnRhaW5lclJlZjogVmlld0NvbnRhaW5lclJlZixcbiAgICBASW5qZWN0KENES19UT09MVElQX1NDUk9MTF9TVFJBVEVHWSkgc2Nyb2xsU3RyYXRlZ3k6IGFueSxcbiAgICBASW5qZWN0KERPQ1VNRU5UKSBkb2N1bWVudDogYW55LFxuICAgIEBPcHRpb25hbCgpIGRpcj86IERpcmVjdGlvbmFsaXR5LFxuICAgIEBPcHRpb25hbCgpIEBJbmplY3QoQ0RLX1RPT0xUSVBfREVGQVVMVF9PUFRJT05TKSBkZWZhdWx0T3B0aW9ucz86IENka1Rvb2x0aXBEZWZhdWx0T3B0aW9ucykge1xuICAgIHN1cGVyKG92ZXJsYXksIGVsZW1lbnRSZWYsIG5nWm9uZSwgc2Nyb2xsRGlzcGF0Y2hlciwgcGxhdGZvcm0sIGZvY3VzTW9uaXRvcixcbiAgICAgICAgICBzY3JvbGxTdHJhdGVneSwgZG9jdW1lbnQsIGRpciwgZGVmYXVsdE9wdGlvbnMpO1xuICB9XG5cbiAgLyoqIFRvZ2dsZXMgdGhlIHBvcG92ZXIgd2hlbiB0aGUgdHJpZ2dlciBpcyBjbGlja2VkLCBpZiBpdCBpcyBzaG93biBvbiBjbGljay4gKi9cbiAgX2hhbmRsZUNsaWNrKCkge1xuICAgIGlmICh0aGlzLnRyaWdnZXJPbiA9PT0gJ2NsaWNrJykge1xuICAgICAgdGhpcy50b2dnbGUoKTtcbiAgICB9XG4gIH1cblxuICBwcm90ZWN0ZWQgX2hhc0NvbnRlbnQoKTogYm9vbGVhbiB7XG4gICAgcmV0dXJuICEhdGhpcy5fdGVtcGxhdGU7XG4gIH1cblxuICBwcm90ZWN0ZWQgX3Nob3dzT25Ib3ZlckFuZEZvY3VzKCk6IGJvb2xlYW4ge1xuICAgIHJldHVybiB0aGlzLnRyaWdnZXJPbiA9PT0gJ2hvdmVyJztcbiAgfVxuXG4gIHByb3RlY3RlZCBfb25PdmVybGF5Q3JlYXRlZChvdmVybGF5UmVmOiBPdmVybGF5UmVmKSB7XG4gICAgY29uc3QgcGFuZSA9IG92ZXJsYXlSZWYub3ZlcmxheUVsZW1lbnQ7XG4gICAgcGFuZS5pZCA9IHRoaXMucGFuZWxJZDtcbiAgICBwYW5lLnNldEF0dHJpYnV0ZSgncm9sZScsICdkaWFsb2cnKTtcblxuICAgIG92ZXJsYXlSZWYub3V0c2lkZVBvaW50ZXJFdmVudHMoKS5waXBlKHRha2VVbnRpbCh0aGlzLl9kZXN0cm95ZWQpKS5zdWJzY3JpYmUoZXZlbnQgPT4ge1xuICAgICAgaWYgKCF0aGlzLl9lbGVtZW50UmVmLm5hdGl2ZUVsZW1lbnQuY29udGFpbnMoZXZlbnQudGFyZ2V0IGFzIE5vZGUpKSB7XG4gICAgICAgIHRoaXMuX25nWm9uZS5ydW4oKCkgPT4gdGhpcy5oaWRlKDApKTtcbiAgICAgIH1cbiAgICB9KTtcbiAgfVxuXG4gIHByb3RlY3RlZCBfYXR0YWNoQ29udGVudChvdmVybGF5UmVmOiBPdmVybGF5UmVmKSB7XG4gICAgaWYgKCF0aGlzLl9wb3J0YWwpIHtcbiAgICAgIHRoaXMuX3BvcnRhbCA9IG5ldyBUZW1wbGF0ZVBvcnRhbCh0aGlzLl90ZW1wbGF0ZSEsIHRoaXMuX3ZpZXdDb250YWluZXJSZWYpO1xuICAgIH1cblxuICAgIG92ZXJsYXlSZWYuYXR0YWNoKHRoaXMuX3BvcnRhbCk7XG4gICAgdGhpcy5zaG93bi5lbWl0KCk7XG4gIH1cblxuICBwcm90ZWN0ZWQgX29uRGV0YWNoZWQoKSB7XG4gICAgdGhpcy5oaWRkZW4uZW1pdCgpO1xuICB9XG5cbiAgLyoqIEhpZGVzIHRoZSBwb3BvdmVyLCBtb3ZpbmcgZm9jdXMgYmFjayB0byB0aGUgdHJpZ2dlciBpZiBpdCB3YXMgaW5zaWRlIHRoZSBwb3BvdmVyLiAqL1xuICBwcm90ZWN0ZWQgX2hhbmRsZUVzY2FwZSgpIHtcbiAgICBjb25zdCBzaG91bGRSZXN0b3JlRm9jdXMgPSB0aGlzLl9pc0luc2lkZVBhbmVsKHRoaXMuX2RvY3VtZW50LmFjdGl2ZUVsZW1lbnQpO1xuICAgIHRoaXMuaGlkZSgwKTtcblxuICAgIGlmIChzaG91bGRSZXN0b3JlRm9jdXMpIHtcbiAgICAgIHRoaXMuX2VsZW1lbnRSZWYubmF0aXZlRWxlbWVudC5mb2N1cygpO1xuICAgIH1cbiAgfVxufVxuIl19
\ No newline at end of file
@@ -0,0 +1,460 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { FocusMonitor } from '@angular/cdk/a11y';
+import { Directionality } from '@angular/cdk/bidi';
+import { coerceBooleanProperty, coerceNumberProperty, } from '@angular/cdk/coercion';
+import { ESCAPE, hasModifierKey } from '@angular/cdk/keycodes';
+import { Overlay, ScrollDispatcher, } from '@angular/cdk/overlay';
+import { normalizePassiveListenerOptions, Platform } from '@angular/cdk/platform';
+import { Directive, ElementRef, NgZone } from '@angular/core';
+import { Subject } from 'rxjs';
+import { filter, takeUntil } from 'rxjs/operators';
+import { HoverIntent } from './hover-intent';
+import { CDK_TOOLTIP_BASE_DEFAULT_OPTIONS, getTooltipConnectedPositions, } from './tooltip-config';
+/** Options for the listeners that are bound to the trigger. */
+const passiveListenerOptions = normalizePassiveListenerOptions({ passive: true });
+/** Distance in pixels between the panel and the edges of the viewport. */
+const VIEWPORT_MARGIN = 8;
+/** Minimum distance in pixels between the arrow of the panel and its corners. */
+const ARROW_PADDING = 4;
+/** Distance in pixels that a touch can move before it no longer counts as a long press. */
+const LONG_PRESS_MOVE_THRESHOLD = 10;
+/**
+ * Abstract directive that implements the behavior shared by `CdkTooltip` and `CdkPopover`:
+ * showing and hiding a panel in an overlay after a delay, hover intent, touch long-presses,
+ * dismissal through the escape key and placement through a `FlexibleConnectedPositionStrategy`
+ * which falls back to the other sides of the trigger if the panel doesn't fit. An element with
+ * the `cdk-tooltip-arrow` or `cdk-popover-arrow` class inside of the panel is positioned
+ * such that it points towards the center of the trigger.
+ */
+export class CdkTooltipBase {
+    constructor(_overlay, _elementRef, _ngZone, _scrollDispatcher, _platform, _focusMonitor, scrollStrategy, document, _dir, defaultOptions) {
+        this._overlay = _overlay;
+        this._elementRef = _elementRef;
+        this._ngZone = _ngZone;
+        this._scrollDispatcher = _scrollDispatcher;
+        this._platform = _platform;
+        this._focusMonitor = _focusMonitor;
+        this._dir = _dir;
+        this._disabled = false;
+        this._panelClass = [];
+        /** Reference to the overlay that renders the panel, once it has been created. */
+        this._overlayRef = null;
+        /** Emits when the trigger is destroyed. */
+        this._destroyed = new Subject();
+        /** ID of the timeout after which the panel is shown. */
+        this._showTimeoutId = null;
+        /** ID of the timeout after which the panel is hidden. */
+        this._hideTimeoutId = null;
+        /** ID of the timeout after which a touch counts as a long press. */
+        this._longPressTimeoutId = null;
+        /** Coordinates at which the current touch started. */
+        this._touchStartPosition = null;
+        /** Class that reflects the side of the trigger on which the panel was placed. */
+        this._placementClass = null;
+        /** Listeners that have been bound to the trigger. */
+        this._triggerListeners = [];
+        this._scrollStrategy = scrollStrategy;
+        this._document = document;
+        this._defaultOptions = Object.assign(Object.assign({}, CDK_TOOLTIP_BASE_DEFAULT_OPTIONS), defaultOptions);
+        this._position = this._defaultOptions.position;
+        this._showDelay = this._defaultOptions.showDelay;
+        this._hideDelay = this._defaultOptions.hideDelay;
+        this._hoverIntent = new HoverIntent(_elementRef.nativeElement, _ngZone);
+    }
+    /** Placement of the panel relative to the trigger. */
+    get position() { return this._position; }
+    set position(value) {
+        if (value !== this._position) {
+            this._position = value;
+            if (this._overlayRef) {
+                this._updatePosition(this._overlayRef);
+                this._overlayRef.updatePosition();
+            }
+        }
+    }
+    /** Whether the trigger is disabled. Disabled triggers don't show their panel. */
+    get disabled() { return this._disabled; }
+    set disabled(value) {
+        this._disabled = coerceBooleanProperty(value);
+        if (this._disabled) {
+            this.hide(0);
+        }
+    }
+    /** Time in milliseconds between the user pointing at the trigger and the panel showing. */
+    get showDelay() { return this._showDelay; }
+    set showDelay(value) {
+        this._showDelay = coerceNumberProperty(value);
+    }
+    /** Time in milliseconds between the user leaving the trigger and the panel hiding. */
+    get hideDelay() { return this._hideDelay; }
+    set hideDelay(value) {
+        this._hideDelay = coerceNumberProperty(value);
+    }
+    /** Classes to be added to the overlay pane that renders the panel. */
+    get panelClass() { return this._panelClass; }
+    set panelClass(value) {
+        if (this._overlayRef) {
+            this._overlayRef.removePanelClass(this._panelClass);
+            this._overlayRef.addPanelClass(value);
+        }
+        this._panelClass = value;
+    }
+    ngAfterViewInit() {
+        this._bindTriggerListeners();
+        this._focusMonitor.monitor(this._elementRef)
+            .pipe(takeUntil(this._destroyed))
+            .subscribe(origin => {
+            if (!this._showsOnHoverAndFocus()) {
+                return;
+            }
+            // Only keyboard focus shows the panel, because pointer users
+            // see the panel when they hover over the trigger.
+            if (!origin) {
+                this._hideIfFocusLeft();
+            }
+            else if (origin === 'keyboard') {
+                this.show();
+            }
+        });
+    }
+    ngOnDestroy() {
+        const element = this._elementRef.nativeElement;
+        this._clearShowTimeout();
+        this._clearHideTimeout();
+        this._clearLongPressTimeout();
+        this._hoverIntent.stop();
+        this._triggerListeners.forEach(([event, listener]) => {
+            element.removeEventListener(event, listener, passiveListenerOptions);
+        });
+        this._triggerListeners.length = 0;
+        this._focusMonitor.stopMonitoring(element);
+        if (this._overlayRef) {
+            this._overlayRef.dispose();
+            this._overlayRef = null;
+        }
+        this._destroyed.next();
+        this._destroyed.complete();
+    }
+    /** Whether the panel is currently shown. */
+    isShown() {
+        return !!this._overlayRef && this._overlayRef.hasAttached();
+    }
+    /**
+     * Shows the panel after a delay.
+     * @param delay Time in milliseconds after which to show the panel.
+     */
+    show(delay = this.showDelay) {
+        if (this.disabled || !this._hasContent()) {
+            return;
+        }
+        this._clearHideTimeout();
+        if (this.isShown()) {
+            return;
+        }
+        if (delay > 0) {
+            if (this._showTimeoutId === null) {
+                this._showTimeoutId = setTimeout(() => {
+                    this._showTimeoutId = null;
+                    this._attach();
+                }, delay);
+            }
+        }
+        else {
+            this._clearShowTimeout();
+            this._attach();
+        }
+    }
+    /**
+     * Hides the panel after a delay.
+     * @param delay Time in milliseconds after which to hide the panel.
+     */
+    hide(delay = this.hideDelay) {
+        this._clearShowTimeout();
+        this._hoverIntent.stop();
+        if (!this.isShown()) {
+            return;
+        }
+        if (delay > 0) {
+            if (this._hideTimeoutId === null) {
+                this._hideTimeoutId = setTimeout(() => {
+                    this._hideTimeoutId = null;
+                    this._detach();
+                }, delay);
+            }
+        }
+        else {
+            this._clearHideTimeout();
+            this._detach();
+        }
+    }
+    /** Shows the panel if it is hidden and hides it if it is shown, without a delay. */
+    toggle() {
+        this.isShown() ? this.hide(0) : this.show(0);
+    }
+    /** Updates the position of the panel, e.g. after its content has changed. */
+    updatePosition() {
+        if (this._overlayRef) {
+            this._overlayRef.updatePosition();
+        }
+    }
+    /** Invoked once the overlay that renders the panel has been created. */
+    _onOverlayCreated(_overlayRef) { }
+    /** Invoked once the panel has been hidden. */
+    _onDetached() { }
+    /** Handles the user pressing the escape key while the panel is shown. */
+    _handleEscape() {
+        this.hide(0);
+    }
+    /** Whether a node is inside of the overlay pane that renders the panel. */
+    _isInsidePanel(node) {
+        return !!node && !!this._overlayRef && this._overlayRef.overlayElement.contains(node);
+    }
+    /** Renders the panel inside of the overlay. */
+    _attach() {
+        const overlayRef = this._getOverlayRef();
+        // The direction may have changed since the panel was shown the last time.
+        this._updatePosition(overlayRef);
+        this._attachContent(overlayRef);
+    }
+    /** Removes the panel from the overlay. */
+    _detach() {
+        if (this.isShown()) {
+            this._overlayRef.detach();
+        }
+    }
+    /** Gets the overlay that renders the panel, creating it if it doesn't exist yet. */
+    _getOverlayRef() {
+        if (this._overlayRef) {
+            return this._overlayRef;
+        }
+        const scrollableAncestors = this._scrollDispatcher.getAncestorScrollContainers(this._elementRef);
+        const positionStrategy = this._overlay.position()
+            .flexibleConnectedTo(this._elementRef)
+            .withFlexibleDimensions(false)
+            .withViewportMargin(VIEWPORT_MARGIN)
+            .withScrollableContainers(scrollableAncestors)
+            .withArrowOn(`.${this._classPrefix}-arrow`, ARROW_PADDING);
+        positionStrategy.positionChanges.pipe(takeUntil(this._destroyed)).subscribe(change => {
+            this._updatePlacementClass(change.connectionPair);
+            // The panel would otherwise be left floating on its own once
+            // the trigger has been scrolled out of one of its containers.
+            if (change.scrollableViewProperties.isOverlayClipped && this.isShown()) {
+                this._ngZone.run(() => this.hide(0));
+            }
+        });
+        const overlayRef = this._overlayRef = this._overlay.create({
+            direction: this._dir,
+            positionStrategy,
+            panelClass: this._panelClass,
+            scrollStrategy: this._scrollStrategy(),
+        });
+        overlayRef.addPanelClass(`${this._classPrefix}-panel`);
+        overlayRef.detachments().pipe(takeUntil(this._destroyed)).subscribe(() => this._onDetached());
+        overlayRef.keydownEvents()
+            .pipe(filter(event => event.keyCode === ESCAPE && !hasModifierKey(event)), takeUntil(this._destroyed))
+            .subscribe(event => {
+            event.preventDefault();
+            event.stopPropagation();
+            this._ngZone.run(() => this._handleEscape());
+        });
+        this._bindPanelListeners(overlayRef.overlayElement);
+        this._onOverlayCreated(overlayRef);
+        return overlayRef;
+    }
+    /** Updates the positions in which the panel can be placed. */
+    _updatePosition(overlayRef) {
+        const strategy = overlayRef.getConfig().positionStrategy;
+        strategy.withPositions(getTooltipConnectedPositions(this.position, this._isRtl()));
+    }
+    /** Adds a class to the overlay pane which reflects the side on which the panel was placed. */
+    _updatePlacementClass(pair) {
+        let placement;
+        if (pair.originY === 'top' && pair.overlayY === 'bottom') {
+            placement = 'above';
+        }
+        else if (pair.originY === 'bottom' && pair.overlayY === 'top') {
+            placement = 'below';
+        }
+        else {
+            placement = (pair.overlayX === 'end') !== this._isRtl() ? 'left' : 'right';
+        }
+        const placementClass = `${this._classPrefix}-panel-${placement}`;
+        if (this._overlayRef && placementClass !== this._placementClass) {
+            if (this._placementClass) {
+                this._overlayRef.removePanelClass(this._placementClass);
+            }
+            this._overlayRef.addPanelClass(placementClass);
+            this._placementClass = placementClass;
+        }
+    }
+    /** Binds the pointer listeners that show and hide the panel to the trigger. */
+    _bindTriggerListeners() {
+        const element = this._elementRef.nativeElement;
+        // Touch devices emulate mouse events after a touch, which would interfere
+        // with the long press, so only one of the two kinds of listeners is bound.
+        if (this._platformSupportsMouseEvents()) {
+            this._triggerListeners.push(['mouseenter', event => this._handleMouseenter(event)], ['mouseleave', event => this._handleMouseleave(event)]);
+        }
+        else {
+            this._disableNativeGesturesIfNecessary();
+            this._triggerListeners.push(['touchstart', event => this._handleTouchstart(event)], ['touchmove', event => this._handleTouchmove(event)], ['touchend', () => this._handleTouchend()], ['touchcancel', () => this._handleTouchend()]);
+        }
+        this._ngZone.runOutsideAngular(() => {
+            this._triggerListeners.forEach(([event, listener]) => {
+                element.addEventListener(event, listener, passiveListenerOptions);
+            });
+        });
+    }
+    /**
+     * Binds the listeners which keep the panel shown while the user interacts with it,
+     * allowing them to move the pointer or focus from the trigger to the panel.
+     */
+    _bindPanelListeners(pane) {
+        this._ngZone.runOutsideAngular(() => {
+            pane.addEventListener('mouseenter', () => {
+                if (this._showsOnHoverAndFocus()) {
+                    this._clearHideTimeout();
+                }
+            });
+            pane.addEventListener('mouseleave', event => {
+                const target = event.relatedTarget;
+                if (this._showsOnHoverAndFocus() && !this._elementRef.nativeElement.contains(target)) {
+                    this._ngZone.run(() => this.hide());
+                }
+            });
+            pane.addEventListener('focusout', () => {
+                if (this._showsOnHoverAndFocus()) {
+                    this._hideIfFocusLeft();
+                }
+            });
+        });
+    }
+    /** Handles the pointer entering the trigger. */
+    _handleMouseenter(event) {
+        if (this.disabled || !this._showsOnHoverAndFocus()) {
+            return;
+        }
+        // The user is coming back from the panel so there's no need to wait.
+        if (this.isShown()) {
+            this._clearHideTimeout();
+            return;
+        }
+        const { hoverIntentSensitivity, hoverIntentInterval } = this._defaultOptions;
+        this._hoverIntent.track(event, hoverIntentSensitivity, hoverIntentInterval, () => {
+            this.show();
+        });
+    }
+    /** Handles the pointer leaving the trigger. */
+    _handleMouseleave(event) {
+        this._hoverIntent.stop();
+        if (this._showsOnHoverAndFocus() && !this._isInsidePanel(event.relatedTarget)) {
+            this._ngZone.run(() => this.hide());
+        }
+    }
+    /** Handles the user touching the trigger. */
+    _handleTouchstart(event) {
+        if (this.disabled || !this._showsOnHoverAndFocus()) {
+            return;
+        }
+        const touch = event.touches[0];
+        this._touchStartPosition = touch ? { x: touch.clientX, y: touch.clientY } : null;
+        this._clearLongPressTimeout();
+        this._longPressTimeoutId = setTimeout(() => {
+            this._longPressTimeoutId = null;
+            this._ngZone.run(() => this.show(0));
+        }, this._defaultOptions.touchLongPressShowDelay);
+    }
+    /** Cancels the long press if the user starts scrolling. */
+    _handleTouchmove(event) {
+        const start = this._touchStartPosition;
+        const touch = event.touches[0];
+        if (start && touch && Math.abs(touch.clientX - start.x) +
+            Math.abs(touch.clientY - start.y) > LONG_PRESS_MOVE_THRESHOLD) {
+            this._clearLongPressTimeout();
+        }
+    }
+    /** Handles the user lifting their finger from the trigger. */
+    _handleTouchend() {
+        this._touchStartPosition = null;
+        this._clearLongPressTimeout();
+        if (this.isShown()) {
+            this._ngZone.run(() => this.hide(this._defaultOptions.touchendHideDelay));
+        }
+    }
+    /**
+     * Hides the panel once focus has left both the trigger and the panel. Waits for focus to land
+     * on its new target first, because it may be moving between the trigger and the panel.
+     */
+    _hideIfFocusLeft() {
+        Promise.resolve().then(() => {
+            const activeElement = this._document.activeElement;
+            if (!this._elementRef.nativeElement.contains(activeElement) &&
+                !this._isInsidePanel(activeElement)) {
+                this._ngZone.run(() => this.hide(0));
+            }
+        });
+    }
+    /**
+     * Prevents the browser from selecting text or opening its context callout while the user
+     * long-presses the trigger, because either of them would cover the panel.
+     */
+    _disableNativeGesturesIfNecessary() {
+        const element = this._elementRef.nativeElement;
+        const style = element.style;
+        if (element.nodeName !== 'INPUT' && element.nodeName !== 'TEXTAREA') {
+            style.userSelect = style.msUserSelect = style.webkitUserSelect = style.MozUserSelect = 'none';
+        }
+        style.webkitTouchCallout = 'none';
+    }
+    /** Whether the platform fires mouse events for pointer interactions. */
+    _platformSupportsMouseEvents() {
+        return !this._platform.IOS && !this._platform.ANDROID;
+    }
+    /** Whether the trigger is in a right-to-left context. */
+    _isRtl() {
+        return !!this._dir && this._dir.value === 'rtl';
+    }
+    /** Cancels the pending timeout which shows the panel. */
+    _clearShowTimeout() {
+        if (this._showTimeoutId !== null) {
+            clearTimeout(this._showTimeoutId);
+            this._showTimeoutId = null;
+        }
+    }
+    /** Cancels the pending timeout which hides the panel. */
+    _clearHideTimeout() {
+        if (this._hideTimeoutId !== null) {
+            clearTimeout(this._hideTimeoutId);
+            this._hideTimeoutId = null;
+        }
+    }
+    /** Cancels the pending long press. */
+    _clearLongPressTimeout() {
+        if (this._longPressTimeoutId !== null) {
+            clearTimeout(this._longPressTimeoutId);
+            this._longPressTimeoutId = null;
+        }
+    }
+}
+CdkTooltipBase.decorators = [
+    { type: Directive }
+];
+CdkTooltipBase.ctorParameters = () => [
+    { type: Overlay },
+    { type: ElementRef },
+    { type: NgZone },
+    { type: ScrollDispatcher },
+    { type: Platform },
+    { type: FocusMonitor },
+    { type: undefined },
+    { type: undefined },
+    { type: Directionality },
+    { type: undefined }
+];
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoidG9vbHRpcC1iYXNlLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiLi4vLi4vLi4vLi4vLi4vLi4vc3JjL2Nkay90b29sdGlwL3Rvb2x0aXAtYmFzZS50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiQUFBQTs7Ozs7O0dBTUc7QUFFSCxPQUFPLEVBQUMsWUFBWSxFQUFDLE1BQU0sbUJBQW1CLENBQUM7QUFDL0MsT0FBTyxFQUFDLGNBQWMsRUFBQyxNQUFNLG1CQUFtQixDQUFDO0FBQ2pELE9BQU8sRUFFTCxxQkFBcUIsRUFDckIsb0JBQW9CLEdBRXJCLE1BQU0sdUJBQXVCLENBQUM7QUFDL0IsT0FBTyxFQUFDLE1BQU0sRUFBRSxjQUFjLEVBQUMsTUFBTSx1QkFBdUIsQ0FBQztBQUM3RCxPQUFPLEVBR0wsT0FBTyxFQUVQLGdCQUFnQixHQUVqQixNQUFNLHNCQUFzQixDQUFDO0FBQzlCLE9BQU8sRUFBQywrQkFBK0IsRUFBRSxRQUFRLEVBQUMsTUFBTSx1QkFBdUIsQ0FBQztBQUNoRixPQUFPLEVBQWdCLFNBQVMsRUFBRSxVQUFVLEVBQUUsTUFBTSxFQUFZLE1BQU0sZUFBZSxDQUFDO0FBQ3RGLE9BQU8sRUFBQyxPQUFPLEVBQUMsTUFBTSxNQUFNLENBQUM7QUFDN0IsT0FBTyxFQUFDLE1BQU0sRUFBRSxTQUFTLEVBQUMsTUFBTSxnQkFBZ0IsQ0FBQztBQUNqRCxPQUFPLEVBQUMsV0FBVyxFQUFDLE1BQU0sZ0JBQWdCLENBQUM7QUFDM0MsT0FBTyxFQUNMLGdDQUFnQyxFQUVoQyw0QkFBNEIsR0FFN0IsTUFBTSxrQkFBa0IsQ0FBQztBQUUxQiwrREFBK0Q7QUFDL0QsTUFBTSxzQkFBc0IsR0FBRywrQkFBK0IsQ0FBQyxFQUFDLE9BQU8sRUFBRSxJQUFJLEVBQUMsQ0FBQyxDQUFDO0FBRWhGLDBFQUEwRTtBQUMxRSxNQUFNLGVBQWUsR0FBRyxDQUFDLENBQUM7QUFFMUIsaUZBQWlGO0FBQ2pGLE1BQU0sYUFBYSxHQUFHLENBQUMsQ0FBQztBQUV4QiwyRkFBMkY7QUFDM0YsTUFBTSx5QkFBeUIsR0FBRyxFQUFFLENBQUM7QUFFckM7Ozs7Ozs7R0FPRztBQUVILE1BQU0sT0FBZ0IsY0FBYztJQTJGbEMsWUFDcUIsUUFBaUIsRUFDakIsV0FBb0MsRUFDcEMsT0FBZSxFQUNqQixpQkFBbUMsRUFDbkMsU0FBbUIsRUFDbkIsYUFBMkIsRUFDNUMsY0FBbUIsRUFDbkIsUUFBYSxFQUNNLElBQXFCLEVBQ3hDLGNBQXlDO1FBVHRCLGFBQVEsR0FBUixRQUFRLENBQVM7UUFDakIsZ0JBQVcsR0FBWCxXQUFXLENBQXlCO1FBQ3BDLFlBQU8sR0FBUCxPQUFPLENBQVE7UUFDakIsc0JBQWlCLEdBQWpCLGlCQUFpQixDQUFrQjtRQUNuQyxjQUFTLEdBQVQsU0FBUyxDQUFVO1FBQ25CLGtCQUFhLEdBQWIsYUFBYSxDQUFjO1FBR3pCLFNBQUksR0FBSixJQUFJLENBQWlCO1FBNUVsQyxjQUFTLEdBQUcsS0FBSyxDQUFDO1FBMEJsQixnQkFBVyxHQUFzQixFQUFFLENBQUM7UUFFNUMsaUZBQWlGO1FBQ3ZFLGdCQUFXLEdBQXNCLElBQUksQ0FBQztRQUtoRCwyQ0FBMkM7UUFDeEIsZUFBVSxHQUFHLElBQUksT0FBTyxFQUFRLENBQUM7UUFRcEQsd0RBQXdEO1FBQ2hELG1CQUFjLEdBQWtCLElBQUksQ0FBQztRQUU3Qyx5REFBeUQ7UUFDakQsbUJBQWMsR0FBa0IsSUFBSSxDQUFDO1FBRTdDLG9FQUFvRTtRQUM1RCx3QkFBbUIsR0FBa0IsSUFBSSxDQUFDO1FBRWxELHNEQUFzRDtRQUM5Qyx3QkFBbUIsR0FBa0MsSUFBSSxDQUFDO1FBRWxFLGlGQUFpRjtRQUN6RSxvQkFBZSxHQUFrQixJQUFJLENBQUM7UUFROUMscURBQXFEO1FBQ3BDLHNCQUFpQixHQUE4QixFQUFFLENBQUM7UUFhakUsSUFBSSxDQUFDLGVBQWUsR0FBRyxjQUFjLENBQUM7UUFDdEMsSUFBSSxDQUFDLFNBQVMsR0FBRyxRQUFRLENBQUM7UUFDMUIsSUFBSSxDQUFDLGVBQWUsbUNBQU8sZ0NBQWdDLEdBQUssY0FBYyxDQUFDLENBQUM7UUFDaEYsSUFBSSxDQUFDLFNBQVMsR0FBRyxJQUFJLENBQUMsZUFBZSxDQUFDLFFBQVEsQ0FBQztRQUMvQyxJQUFJLENBQUMsVUFBVSxHQUFHLElBQUksQ0FBQyxlQUFlLENBQUMsU0FBUyxDQUFDO1FBQ2pELElBQUksQ0FBQyxVQUFVLEdBQUcsSUFBSSxDQUFDLGVBQWUsQ0FBQyxTQUFTLENBQUM7UUFDakQsSUFBSSxDQUFDLFlBQVksR0FBRyxJQUFJLFdBQVcsQ0FBQyxXQUFXLENBQUMsYUFBYSxFQUFFLE9BQU8sQ0FBQyxDQUFDO0lBQzFFLENBQUM7SUE1R0Qsc0RBQXNEO0lBQ3RELElBQUksUUFBUSxLQUFzQixPQUFPLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDO0lBQzFELElBQUksUUFBUSxDQUFDLEtBQXNCO1FBQ2pDLElBQUksS0FBSyxLQUFLLElBQUksQ0FBQyxTQUFTLEVBQUU7WUFDNUIsSUFBSSxDQUFDLFNBQVMsR0FBRyxLQUFLLENBQUM7WUFFdkIsSUFBSSxJQUFJLENBQUMsV0FBVyxFQUFFO2dCQUNwQixJQUFJLENBQUMsZUFBZSxDQUFDLElBQUksQ0FBQyxXQUFXLENBQUMsQ0FBQztnQkFDdkMsSUFBSSxDQUFDLFdBQVcsQ0FBQyxjQUFjLEVBQUUsQ0FBQzthQUNuQztTQUNGO0lBQ0gsQ0FBQztJQUdELGlGQUFpRjtJQUNqRixJQUFJLFFBQVEsS0FBYyxPQUFPLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDO0lBQ2xELElBQUksUUFBUSxDQUFDLEtBQWM7UUFDekIsSUFBSSxDQUFDLFNBQVMsR0FBRyxxQkFBcUIsQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUU5QyxJQUFJLElBQUksQ0FBQyxTQUFTLEVBQUU7WUFDbEIsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQztTQUNkO0lBQ0gsQ0FBQztJQUdELDJGQUEyRjtJQUMzRixJQUFJLFNBQVMsS0FBYSxPQUFPLElBQUksQ0FBQyxVQUFVLENBQUMsQ0FBQyxDQUFDO0lBQ25ELElBQUksU0FBUyxDQUFDLEtBQWE7UUFDekIsSUFBSSxDQUFDLFVBQVUsR0FBRyxvQkFBb0IsQ0FBQyxLQUFLLENBQUMsQ0FBQztJQUNoRCxDQUFDO0lBR0Qsc0ZBQXNGO0lBQ3RGLElBQUksU0FBUyxLQUFhLE9BQU8sSUFBSSxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUM7SUFDbkQsSUFBSSxTQUFTLENBQUMsS0FBYTtRQUN6QixJQUFJLENBQUMsVUFBVSxHQUFHLG9CQUFvQixDQUFDLEtBQUssQ0FBQyxDQUFDO0lBQ2hELENBQUM7SUFHRCxzRUFBc0U7SUFDdEUsSUFBSSxVQUFVLEtBQXdCLE9BQU8sSUFBSSxDQUFDLFdBQVcsQ0FBQyxDQUFDLENBQUM7SUFDaEUsSUFBSSxVQUFVLENBQUMsS0FBd0I7UUFDckMsSUFBSSxJQUFJLENBQUMsV0FBVyxFQUFFO1lBQ3BCLElBQUksQ0FBQyxXQUFXLENBQUMsZ0JBQWdCLENBQUMsSUFBSSxDQUFDLFdBQVcsQ0FBQyxDQUFDO1lBQ3BELElBQUksQ0FBQyxXQUFXLENBQUMsYUFBYSxDQUFDLEtBQUssQ0FBQyxDQUFDO1NBQ3ZDO1FBRUQsSUFBSSxDQUFDLFdBQVcsR0FBRyxLQUFLLENBQUM7SUFDM0IsQ0FBQztJQThERCxlQUFlO1FBQ2IsSUFBSSxDQUFDLHFCQUFxQixFQUFFLENBQUM7UUFFN0IsSUFBSSxDQUFDLGFBQWEsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLFdBQVcsQ0FBQzthQUN6QyxJQUFJLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxVQUFVLENBQUMsQ0FBQzthQUNoQyxTQUFTLENBQUMsTUFBTSxDQUFDLEVBQUU7WUFDbEIsSUFBSSxDQUFDLElBQUksQ0FBQyxxQkFBcUIsRUFBRSxFQUFFO2dCQUNqQyxPQUFPO2FBQ1I7WUFFRCw2REFBNkQ7WUFDN0Qsa0RBQWtEO1lBQ2xELElBQUksQ0FBQyxNQUFNLEVBQUU7Z0JBQ1gsSUFBSSxDQUFDLGdCQUFnQixFQUFFLENBQUM7YUFDekI7aUJBQU0sSUFBSSxNQUFNLEtBQUssVUFBVSxFQUFFO2dCQUNoQyxJQUFJLENBQUMsSUFBSSxFQUFFLENBQUM7YUFDYjtRQUNILENBQUMsQ0FBQyxDQUFDO0lBQ1AsQ0FBQztJQUVELFdBQVc7UUFDVCxNQUFNLE9BQU8sR0FBRyxJQUFJLENBQUMsV0FBVyxDQUFDLGFBQWEsQ0FBQztRQUUvQyxJQUFJLENBQUMsaUJBQWlCLEVBQUUsQ0FBQztRQUN6QixJQUFJLENBQUMsaUJBQWlCLEVBQUUsQ0FBQztRQUN6QixJQUFJLENBQUMsc0JBQXNCLEVBQUUsQ0FBQztRQUM5QixJQUFJLENBQUMsWUFBWSxDQUFDLElBQUksRUFBRSxDQUFDO1FBQ3pCLElBQUksQ0FBQyxpQkFBaUIsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLEtBQUssRUFBRSxRQUFRLENBQUMsRUFBRSxFQUFFO1lBQ25ELE9BQU8sQ0FBQyxtQkFBbUIsQ0FBQyxLQUFLLEVBQUUsUUFBUSxFQUFFLHNCQUFzQixDQUFDLENBQUM7UUFDdkUsQ0FBQyxDQUFDLENBQUM7UUFDSCxJQUFJLENBQUMsaUJBQWlCLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQztRQUNsQyxJQUFJLENBQUMsYUFBYSxDQUFDLGNBQWMsQ0FBQyxPQUFPLENBQUMsQ0FBQztRQUUzQyxJQUFJLElBQUksQ0FBQyxXQUFXLEVBQUU7WUFDcEIsSUFBSSxDQUFDLFdBQVcsQ0FBQyxPQUFPLEVBQUUsQ0FBQztZQUMzQixJQUFJLENBQUMsV0FBVyxHQUFHLElBQUksQ0FBQztTQUN6QjtRQUVELElBQUksQ0FBQyxVQUFVLENBQUMsSUFBSSxFQUFFLENBQUM7UUFDdkIsSUFBSSxDQUFDLFVBQVUsQ0FBQyxRQUFRLEVBQUUsQ0FBQztJQUM3QixDQUFDO0lBRUQsNENBQTRDO0lBQzVDLE9BQU87UUFDTCxPQUFPLENBQUMsQ0FBQyxJQUFJLENBQUMsV0FBVyxJQUFJLElBQUksQ0FBQyxXQUFXLENBQUMsV0FBVyxFQUFFLENBQUM7SUFDOUQsQ0FBQztJQUVEOzs7T0FHRztJQUNILElBQUksQ0FBQyxRQUFnQixJQUFJLENBQUMsU0FBUztRQUNqQyxJQUFJLElBQUksQ0FBQyxRQUFRLElBQUksQ0FBQyxJQUFJLENBQUMsV0FBVyxFQUFFLEVBQUU7WUFDeEMsT0FBTztTQUNSO1FBRUQsSUFBSSxDQUFDLGlCQUFpQixFQUFFLENBQUM7UUFFekIsSUFBSSxJQUFJLENBQUMsT0FBTyxFQUFFLEVBQUU7WUFDbEIsT0FBTztTQUNSO1FBRUQsSUFBSSxLQUFLLEdBQUcsQ0FBQyxFQUFFO1lBQ2IsSUFBSSxJQUFJLENBQUMsY0FBYyxLQUFLLElBQUksRUFBRTtnQkFDaEMsSUFBSSxDQUFDLGNBQWMsR0FBRyxVQUFVLENBQUMsR0FBRyxFQUFFO29CQUNwQyxJQUFJLENBQUMsY0FBYyxHQUFHLElBQUksQ0FBQztvQkFDM0IsSUFBSSxDQUFDLE9BQU8sRUFBRSxDQUFDO2dCQUNqQixDQUFDLEVBQUUsS0FBSyxDQUFDLENBQUM7YUFDWDtTQUNGO2FBQU07WUFDTCxJQUFJLENBQUMsaUJBQWlCLEVBQUUsQ0FBQztZQUN6QixJQUFJLENBQUMsT0FBTyxFQUFFLENBQUM7U0FDaEI7SUFDSCxDQUFDO0lBRUQ7OztPQUdHO0lBQ0gsSUFBSSxDQUFDLFFBQWdCLElBQUksQ0FBQyxTQUFTO1FBQ2pDLElBQUksQ0FBQyxpQkFBaUIsRUFBRSxDQUFDO1FBQ3pCLElBQUksQ0FBQyxZQUFZLENBQUMsSUFBSSxFQUFFLENBQUM7UUFFekIsSUFBSSxDQUFDLElBQUksQ0FBQyxPQUFPLEVBQUUsRUFBRTtZQUNuQixPQUFPO1NBQ1I7UUFFRCxJQUFJLEtBQUssR0FBRyxDQUFDLEVBQUU7WUFDYixJQUFJLElBQUksQ0FBQyxjQUFjLEtBQUssSUFBSSxFQUFFO2dCQUNoQyxJQUFJLENBQUMsY0FBYyxHQUFHLFVBQVUsQ0FBQyxHQUFHLEVBQUU7b0JBQ3BDLElBQUksQ0FBQyxjQUFjLEdBQUcsSUFBSSxDQUFDO29CQUMzQixJQUFJLENBQUMsT0FBTyxFQUFFLENBQUM7Z0JBQ2pCLENBQUMsRUFBRSxLQUFLLENBQUMsQ0FBQzthQUNYO1NBQ0Y7YUFBTTtZQUNMLElBQUksQ0FBQyxpQkFBaUIsRUFBRSxDQUFDO1lBQ3pCLElBQUksQ0FBQyxPQUFPLEVBQUUsQ0FBQztTQUNoQjtJQUNILENBQUM7SUFFRCxvRkFBb0Y7SUFDcEYsTUFBTTtRQUNKLElBQUksQ0FBQyxPQUFPLEVBQUUsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUMvQyxDQUFDO0lBRUQsNkVBQTZFO0lBQzdFLGNBQWM7UUFDWixJQUFJLElBQUksQ0FBQyxXQUFXLEVBQUU7WUFDcEIsSUFBSSxDQUFDLFdBQVcsQ0FBQyxjQUFjLEVBQUUsQ0FBQztTQUNuQztJQUNILENBQUM7SUFXRCx3RUFBd0U7SUFDOUQsaUJBQWlCLENBQUMsV0FBdUIsSUFBUyxDQUFDO0lBRTdELDhDQUE4QztJQUNwQyxXQUFXLEtBQVUsQ0FBQztJQUVoQyx5RUFBeUU7SUFDL0QsYUFBYTtRQUNyQixJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ2YsQ0FBQztJQUVELDJFQUEyRTtJQUNqRSxjQUFjLENBQUMsSUFBaUI7UUFDeEMsT0FBTyxDQUFDLENBQUMsSUFBSSxJQUFJLENBQUMsQ0FBQyxJQUFJLENBQUMsV0FBVyxJQUFJLElBQUksQ0FBQyxXQUFXLENBQUMsY0FBYyxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUN4RixDQUFDO0lBRUQsK0NBQStDO0lBQ3ZDLE9BQU87UUFDYixNQUFNLFVBQVUsR0FBRyxJQUFJLENBQUMsY0FBYyxFQUFFLENBQUM7UUFFekMsMEVBQTBFO1FBQzFFLElBQUksQ0FBQyxlQUFlLENBQUMsVUFBVSxDQUFDLENBQUM7UUFDakMsSUFBSSxDQUFDLGNBQWMsQ0FBQyxVQUFVLENBQUMsQ0FBQztJQUNsQyxDQUFDO0lBRUQsMENBQTBDO0lBQ2xDLE9BQU87UUFDYixJQUFJLElBQUksQ0FBQyxPQUFPLEVBQUUsRUFBRTtZQUNsQixJQUFJLENBQUMsV0FBWSxDQUFDLE1BQU0sRUFBRSxDQUFDO1NBQzVCO0lBQ0gsQ0FBQztJQUVELG9GQUFvRjtJQUM1RSxjQUFjO1FBQ3BCLElBQUksSUFBSSxDQUFDLFdBQVcsRUFBRTtZQUNwQixPQUFPLElBQUksQ0FBQyxXQUFXLENBQUM7U0FDekI7UUFFRCxNQUFNLG1CQUFtQixHQUNyQixJQUFJLENBQUMsaUJBQWlCLENBQUMsMkJBQTJCLENBQUMsSUFBSSxDQUFDLFdBQVcsQ0FBQyxDQUFDO1FBQ3pFLE1BQU0sZ0JBQWdCLEdBQUcsSUFBSSxDQUFDLFFBQVEsQ0FBQyxRQUFRLEVBQUU7YUFDOUMsbUJBQW1CLENBQUMsSUFBSSxDQUFDLFdBQVcsQ0FBQzthQUNyQyxzQkFBc0IsQ0FBQyxLQUFLLENBQUM7YUFDN0Isa0JBQWtCLENBQUMsZUFBZSxDQUFDO2FBQ25DLHdCQUF3QixDQUFDLG1CQUFtQixDQUFDO2FBQzdDLFdBQVcsQ0FBQyxJQUFJLElBQUksQ0FBQyxZQUFZLFFBQVEsRUFBRSxhQUFhLENBQUMsQ0FBQztRQUU3RCxnQkFBZ0IsQ0FBQyxlQUFlLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxJQUFJLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsTUFBTSxDQUFDLEVBQUU7WUFDbkYsSUFBSSxDQUFDLHFCQUFxQixDQUFDLE1BQU0sQ0FBQyxjQUFjLENBQUMsQ0FBQztZQUVsRCw2REFBNkQ7WUFDN0QsOERBQThEO1lBQzlELElBQUksTUFBTSxDQUFDLHdCQUF3QixDQUFDLGdCQUFnQixJQUFJLElBQUksQ0FBQyxPQUFPLEVBQUUsRUFBRTtnQkFDdEUsSUFBSSxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsR0FBRyxFQUFFLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO2FBQ3RDO1FBQ0gsQ0FBQyxDQUFDLENBQUM7UUFFSCxNQUFNLFVBQVUsR0FBRyxJQUFJLENBQUMsV0FBVyxHQUFHLElBQUksQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDO1lBQ3pELFNBQVMsRUFBRSxJQUFJLENBQUMsSUFBSTtZQUNwQixnQkFBZ0I7WUFDaEIsVUFBVSxFQUFFLElBQUksQ0FBQyxXQUFXO1lBQzVCLGNBQWMsRUFBRSxJQUFJLENBQUMsZUFBZSxFQUFFO1NBQ3ZDLENBQUMsQ0FBQztRQUVILFVBQVUsQ0FBQyxhQUFhLENBQUMsR0FBRyxJQUFJLENBQUMsWUFBWSxRQUFRLENBQUMsQ0FBQztRQUN2RCxVQUFVLENBQUMsV0FBVyxFQUFFLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxJQUFJLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsR0FBRyxFQUFFLENBQUMsSUFBSSxDQUFDLFdBQVcsRUFBRSxDQUFDLENBQUM7UUFDOUYsVUFBVSxDQUFDLGFBQWEsRUFBRTthQUN2QixJQUFJLENBQ0gsTUFBTSxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDLE9BQU8sS0FBSyxNQUFNLElBQUksQ0FBQyxjQUFjLENBQUMsS0FBSyxDQUFDLENBQUMsRUFDbkUsU0FBUyxDQUFDLElBQUksQ0FBQyxVQUFVLENBQUMsQ0FBQzthQUM1QixTQUFTLENBQUMsS0FBSyxDQUFDLEVBQUU7WUFDakIsS0FBSyxDQUFDLGNBQWMsRUFBRSxDQUFDO1lBQ3ZCLEtBQUssQ0FBQyxlQUFlLEVBQUUsQ0FBQztZQUN4QixJQUFJLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxJQUFJLENBQUMsYUFBYSxFQUFFLENBQUMsQ0FBQztRQUMvQyxDQUFDLENBQUMsQ0FBQztRQUVMLElBQUksQ0FBQyxtQkFBbUIsQ0FBQyxVQUFVLENBQUMsY0FBYyxDQUFDLENBQUM7UUFDcEQsSUFBSSxDQUFDLGlCQUFpQixDQUFDLFVBQVUsQ0FBQyxDQUFDO1FBQ25DLE9BQU8sVUFBVSxDQUFDO0lBQ3BCLENBQUM7SUFFRCw4REFBOEQ7SUFDdEQsZUFBZSxDQUFDLFVBQXNCO1FBQzVDLE1BQU0sUUFBUSxHQUFHLFVBQVUsQ0FBQyxTQUFTLEVBQUUsQ0FBQyxnQkFBcUQsQ0FBQztRQUM5RixRQUFRLENBQUMsYUFBYSxDQUFDLDRCQUE0QixDQUFDLElBQUksQ0FBQyxRQUFRLEVBQUUsSUFBSSxDQUFDLE1BQU0sRUFBRSxDQUFDLENBQUMsQ0FBQztJQUNyRixDQUFDO0lBRUQsOEZBQThGO0lBQ3RGLHFCQUFxQixDQUFDLElBQTRCO1FBQ3hELElBQUksU0FBK0MsQ0FBQztRQUVwRCxJQUFJLElBQUksQ0FBQyxPQUFPLEtBQUssS0FBSyxJQUFJLElBQUksQ0FBQyxRQUFRLEtBQUssUUFBUSxFQUFFO1lBQ3hELFNBQVMsR0FBRyxPQUFPLENBQUM7U0FDckI7YUFBTSxJQUFJLElBQUksQ0FBQyxPQUFPLEtBQUssUUFBUSxJQUFJLElBQUksQ0FBQyxRQUFRLEtBQUssS0FBSyxFQUFFO1lBQy9ELFNBQVMsR0FBRyxPQUFPLENBQUM7U0FDckI7YUFBTTtZQUNMLFNBQVMsR0FBRyxDQUFDLElBQUksQ0FBQyxRQUFRLEtBQUssS0FBSyxDQUFDLEtBQUssSUFBSSxDQUFDLE1BQU0sRUFBRSxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQztTQUM1RTtRQUVELE1BQU0sY0FBYyxHQUFHLEdBQUcsSUFBSSxDQUFDLFlBQVksVUFBVSxTQUFTLEVBQUUsQ0FBQztRQUVqRSxJQUFJLElBQUksQ0FBQyxXQUFXLElBQUksY0FBYyxLQUFLLElBQUksQ0FBQyxlQUFlLEVBQUU7WUFDL0QsSUFBSSxJQUFJLENBQUMsZUFBZSxFQUFFO2dCQUN4QixJQUFJLENBQUMsV0FBVyxDQUFDLGdCQUFnQixDQUFDLElBQUksQ0FBQyxlQUFlLENBQUMsQ0FBQzthQUN6RDtZQUVELElBQUksQ0FBQyxXQUFXLENBQUMsYUFBYSxDQUFDLGNBQWMsQ0FBQyxDQUFDO1lBQy9DLElBQUksQ0FBQyxlQUFlLEdBQUcsY0FBYyxDQUFDO1NBQ3ZDO0lBQ0gsQ0FBQztJQUVELCtFQUErRTtJQUN2RSxxQkFBcUI7UUFDM0IsTUFBTSxPQUFPLEdBQUcsSUFBSSxDQUFDLFdBQVcsQ0FBQyxhQUFhLENBQUM7UUFFL0MsMEVBQTBFO1FBQzFFLDJFQUEyRTtRQUMzRSxJQUFJLElBQUksQ0FBQyw0QkFBNEIsRUFBRSxFQUFFO1lBQ3ZDLElBQUksQ0FBQyxpQkFBaUIsQ0FBQyxJQUFJLENBQ3pCLENBQUMsWUFBWSxFQUFFLEtBQUssQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLGlCQUFpQixDQUFDLEtBQW1CLENBQUMsQ0FBQyxFQUNwRSxDQUFDLFlBQVksRUFBRSxLQUFLLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxpQkFBaUIsQ0FBQyxLQUFtQixDQUFDLENBQUMsQ0FDckUsQ0FBQztTQUNIO2FBQU07WUFDTCxJQUFJLENBQUMsaUNBQWlDLEVBQUUsQ0FBQztZQUN6QyxJQUFJLENBQUMsaUJBQWlCLENBQUMsSUFBSSxDQUN6QixDQUFDLFlBQVksRUFBRSxLQUFLLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxpQkFBaUIsQ0FBQyxLQUFtQixDQUFDLENBQUMsRUFDcEUsQ0FBQyxXQUFXLEVBQUUsS0FBSyxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsZ0JBQWdCLENBQUMsS0FBbUIsQ0FBQyxDQUFDLEVBQ2xFLENBQUMsVUFBVSxFQUFFLEdBQUcsRUFBRSxDQUFDLElBQUksQ0FBQyxlQUFlLEVBQUUsQ0FBQyxFQUMxQyxDQUFDLGFBQWEsRUFBRSxHQUFHLEVBQUUsQ0FBQyxJQUFJLENBQUMsZUFBZSxFQUFFLENBQUMsQ0FDOUMsQ0FBQztTQUNIO1FBRUQsSUFBSSxDQUFDLE9BQU8sQ0FBQyxpQkFBaUIsQ0FBQyxHQUFHLEVBQUU7WUFDbEMsSUFBSSxDQUFDLGlCQUFpQixDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsS0FBSyxFQUFFLFFBQVEsQ0FBQyxFQUFFLEVBQUU7Z0JBQ25ELE9BQU8sQ0FBQyxnQkFBZ0IsQ0FBQyxLQUFLLEVBQUUsUUFBUSxFQUFFLHNCQUFzQixDQUFDLENBQUM7WUFDcEUsQ0FBQyxDQUFDLENBQUM7UUFDTCxDQUFDLENBQUMsQ0FBQztJQUNMLENBQUM7SUFFRDs7O09BR0c7SUFDSyxtQkFBbUIsQ0FBQyxJQUFpQjtRQUMzQyxJQUFJLENBQUMsT0FBTyxDQUFDLGlCQUFpQixDQUFDLEdBQUcsRUFBRTtZQUNsQyxJQUFJLENBQUMsZ0JBQWdCLENBQUMsWUFBWSxFQUFFLEdBQUcsRUFBRTtnQkFDdkMsSUFBSSxJQUFJLENBQUMscUJBQXFCLEVBQUUsRUFBRTtvQkFDaEMsSUFBSSxDQUFDLGlCQUFpQixFQUFFLENBQUM7aUJBQzFCO1lBQ0gsQ0FBQyxDQUFDLENBQUM7WUFFSCxJQUFJLENBQUMsZ0JBQWdCLENBQUMsWUFBWSxFQUFFLEtBQUssQ0FBQyxFQUFFO2dCQUMxQyxNQUFNLE1BQU0sR0FBRyxLQUFLLENBQUMsYUFBNEIsQ0FBQztnQkFFbEQsSUFBSSxJQUFJLENBQUMscUJBQXFCLEVBQUUsSUFBSSxDQUFDLElBQUksQ0FBQyxXQUFXLENBQUMsYUFBYSxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUMsRUFBRTtvQkFDcEYsSUFBSSxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsR0FBRyxFQUFFLENBQUMsSUFBSSxDQUFDLElBQUksRUFBRSxDQUFDLENBQUM7aUJBQ3JDO1lBQ0gsQ0FBQyxDQUFDLENBQUM7WUFFSCxJQUFJLENBQUMsZ0JBQWdCLENBQUMsVUFBVSxFQUFFLEdBQUcsRUFBRTtnQkFDckMsSUFBSSxJQUFJLENBQUMscUJBQXFCLEVBQUUsRUFBRTtvQkFDaEMsSUFBSSxDQUFDLGdCQUFnQixFQUFFLENBQUM7aUJBQ3pCO1lBQ0gsQ0FBQyxDQUFDLENBQUM7UUFDTCxDQUFDLENBQUMsQ0FBQztJQUNMLENBQUM7SUFFRCxnREFBZ0Q7SUFDeEMsaUJBQWlCLENBQUMsS0FBaUI7UUFDekMsSUFBSSxJQUFJLENBQUMsUUFBUSxJQUFJLENBQUMsSUFBSSxDQUFDLHFCQUFxQixFQUFFLEVBQUU7WUFDbEQsT0FBTztTQUNSO1FBRUQscUVBQXFFO1FBQ3JFLElBQUksSUFBSSxDQUFDLE9BQU8sRUFBRSxFQUFFO1lBQ2xCLElBQUksQ0FBQyxpQkFBaUIsRUFBRSxDQUFDO1lBQ3pCLE9BQU87U0FDUjtRQUVELE1BQU0sRUFBQyxzQkFBc0IsRUFBRSxtQkFBbUIsRUFBQyxHQUFHLElBQUksQ0FBQyxlQUFlLENBQUM7UUFDM0UsSUFBSSxDQUFDLFlBQVksQ0FBQyxLQUFLLENBQUMsS0FBSyxFQUFFLHNCQUFzQixFQUFFLG1CQUFtQixFQUFFLEdBQUcsRUFBRTtZQUMvRSxJQUFJLENBQUMsSUFBSSxFQUFFLENBQUM7UUFDZCxDQUFDLENBQUMsQ0FBQztJQUNMLENBQUM7SUFFRCwrQ0FBK0M7SUFDdkMsaUJBQWlCLENBQUMsS0FBaUI7UUFDekMsSUFBSSxDQUFDLFlBQVksQ0FBQyxJQUFJLEVBQUUsQ0FBQztRQUV6QixJQUFJLElBQUksQ0FBQyxxQkFBcUIsRUFBRSxJQUFJLENBQUMsSUFBSSxDQUFDLGNBQWMsQ0FBQyxLQUFLLENBQUMsYUFBcUIsQ0FBQyxFQUFFO1lBQ3JGLElBQUksQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLEdBQUcsRUFBRSxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFDO1NBQ3JDO0lBQ0gsQ0FBQztJQUVELDZDQUE2QztJQUNyQyxpQkFBaUIsQ0FBQyxLQUFpQjtRQUN6QyxJQUFJLElBQUksQ0FBQyxRQUFRLElBQUksQ0FBQyxJQUFJLENBQUMscUJBQXFCLEVBQUUsRUFBRTtZQUNsRCxPQUFPO1NBQ1I7UUFFRCxNQUFNLEtBQUssR0FBRyxLQUFLLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQy9CLElBQUksQ0FBQyxtQkFBbUIsR0FBRyxLQUFLLENBQUMsQ0FBQyxDQUFDLEVBQUMsQ0FBQyxFQUFFLEtBQUssQ0FBQyxPQUFPLEVBQUUsQ0FBQyxFQUFFLEtBQUssQ0FBQyxPQUFPLEVBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDO1FBQy9FLElBQUksQ0FBQyxzQkFBc0IsRUFBRSxDQUFDO1FBQzlCLElBQUksQ0FBQyxtQkFBbUIsR0FBRyxVQUFVLENBQUMsR0FBRyxFQUFFO1lBQ3pDLElBQUksQ0FBQyxtQkFBbUIsR0FBRyxJQUFJLENBQUM7WUFDaEMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsR0FBRyxFQUFFLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQ3ZDLENBQUMsRUFBRSxJQUFJLENBQUMsZUFBZSxDQUFDLHVCQUF1QixDQUFDLENBQUM7SUFDbkQsQ0FBQztJQUVELDJEQUEyRDtJQUNuRCxnQkFBZ0IsQ0FBQyxLQUFpQjtRQUN4QyxNQUFNLEtBQUssR0FBRyxJQUFJLENBQUMsbUJBQW1CLENBQUM7UUFDdkMsTUFBTSxLQUFLLEdBQUcsS0FBSyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUUvQixJQUFJLEtBQUssSUFBSSxLQUFLLElBQUksSUFBSSxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsT0FBTyxHQUFHLEtBQUssQ0FBQyxDQUFDLENBQUM7WUFDbkQsSUFBSSxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsT0FBTyxHQUFHLEtBQUssQ0FBQyxDQUFDLENBQUMsR0FBRyx5QkFBeUIsRUFBRTtZQUNqRSxJQUFJLENBQUMsc0JBQXNCLEVBQUUsQ0FBQztTQUMvQjtJQUNILENBQUM7SUFFRCw4REFBOEQ7SUFDdEQsZUFBZTtRQUNyQixJQUFJLENBQUMsbUJBQW1CLEdBQUcsSUFBSSxDQUFDO1FBQ2hDLElBQUksQ0FBQyxzQkFBc0IsRUFBRSxDQUFDO1FBRTlCLElBQUksSUFBSSxDQUFDLE9BQU8sRUFBRSxFQUFFO1lBQ2xCLElBQUksQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLEdBQUcsRUFBRSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLGVBQWUsQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDLENBQUM7U0FDM0U7SUFDSCxDQUFDO0lBRUQ7OztPQUdHO0lBQ0ssZ0JBQWdCO1FBQ3RCLE9BQU8sQ0FBQyxPQUFPLEVBQUUsQ0FBQyxJQUFJLENBQUMsR0FBRyxFQUFFO1lBQzFCLE1BQU0sYUFBYSxHQUFHLElBQUksQ0FBQyxTQUFTLENBQUMsYUFBYSxDQUFDO1lBRW5ELElBQUksQ0FBQyxJQUFJLENBQUMsV0FBVyxDQUFDLGFBQWEsQ0FBQyxRQUFRLENBQUMsYUFBYSxDQUFDO2dCQUN2RCxDQUFDLElBQUksQ0FBQyxjQUFjLENBQUMsYUFBYSxDQUFDLEVBQUU7Z0JBQ3ZDLElBQUksQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLEdBQUcsRUFBRSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQzthQUN0QztRQUNILENBQUMsQ0FBQyxDQUFDO0lBQ0wsQ0FBQztJQUVEOzs7T0FHRztJQUNLLGlDQUFpQztRQUN2QyxNQUFNLE9BQU8sR0FBRyxJQUFJLENBQUMsV0FBVyxDQUFDLGFBQWEsQ0FBQztRQUMvQyxNQUFNLEtBQUssR0FBRyxPQUFPLENBQUMsS0FBc0QsQ0FBQztRQUU3RSxJQUFJLE9BQU8sQ0FBQyxRQUFRLEtBQUssT0FBTyxJQUFJLE9BQU8sQ0FBQyxRQUFRLEtBQUssVUFBVSxFQUFFO1lBQ25FLEtBQUssQ0FBQyxVQUFVLEdBQUcsS0FBSyxDQUFDLFlBQVksR0FBRyxLQUFLLENBQUMsZ0JBQWdCLEdBQUcsS0FBSyxDQUFDLGFBQWEsR0FBRyxNQUFNLENBQUM7U0FDL0Y7UUFFRCxLQUFLLENBQUMsa0JBQWtCLEdBQUcsTUFBTSxDQUFDO0lBQ3BDLENBQUM7SUFFRCx3RUFBd0U7SUFDaEUsNEJBQTRCO1FBQ2xDLE9BQU8sQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLEdBQUcsSUFBSSxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsT0FBTyxDQUFDO0lBQ3hELENBQUM7SUFFRCx5REFBeUQ7SUFDakQsTUFBTTtRQUNaLE9BQU8sQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLElBQUksSUFBSSxDQUFDLElBQUksQ0FBQyxLQUFLLEtBQUssS0FBSyxDQUFDO0lBQ2xELENBQUM7SUFFRCx5REFBeUQ7SUFDakQsaUJBQWlCO1FBQ3ZCLElBQUksSUFBSSxDQUFDLGNBQWMsS0FBSyxJQUFJLEVBQUU7WUFDaEMsWUFBWSxDQUFDLElBQUksQ0FBQyxjQUFjLENBQUMsQ0FBQztZQUNsQyxJQUFJLENBQUMsY0FBYyxHQUFHLElBQUksQ0FBQztTQUM1QjtJQUNILENBQUM7SUFFRCx5REFBeUQ7SUFDakQsaUJBQWlCO1FBQ3ZCLElBQUksSUFBSSxDQUFDLGNBQWMsS0FBSyxJQUFJLEVBQUU7WUFDaEMsWUFBWSxDQUFDLElBQUksQ0FBQyxjQUFjLENBQUMsQ0FBQztZQUNsQyxJQUFJLENBQUMsY0FBYyxHQUFHLElBQUksQ0FBQztTQUM1QjtJQUNILENBQUM7SUFFRCxzQ0FBc0M7SUFDOUIsc0JBQXNCO1FBQzVCLElBQUksSUFBSSxDQUFDLG1CQUFtQixLQUFLLElBQUksRUFBRTtZQUNyQyxZQUFZLENBQUMsSUFBSSxDQUFDLG1CQUFtQixDQUFDLENBQUM7WUFDdkMsSUFBSSxDQUFDLG1CQUFtQixHQUFHLElBQUksQ0FBQztTQUNqQztJQUNILENBQUM7OztZQTdnQkYsU0FBUzs7O1lBckNSLE9BQU87WUFNeUIsVUFBVTtZQUFFLE1BQU07WUFKbEQsZ0JBQWdCO1lBR3VCLFFBQVE7WUFqQnpDLFlBQVk7OztZQUNaLGNBQWMiLCJzb3VyY2VzQ29udGVudCI6WyIvKipcbiAqIEBsaWNlbnNlXG4gKiBDb3B5cmlnaHQgR29vZ2xlIExMQyBBbGwgUmlnaHRzIFJlc2VydmVkLlxuICpcbiAqIFVzZSBvZiB0aGlzIHNvdXJjZSBjb2RlIGlzIGdvdmVybmVkIGJ5IGFuIE1JVC1zdHlsZSBsaWNlbnNlIHRoYXQgY2FuIGJlXG4gKiBmb3VuZCBpbiB0aGUgTElDRU5TRSBmaWxlIGF0IGh0dHBzOi8vYW5ndWxhci5pby9saWNlbnNlXG4gKi9cblxuaW1wb3J0IHtGb2N1c01vbml0b3J9IGZyb20gJ0Bhbmd1bGFyL2Nkay9hMTF5JztcbmltcG9ydCB7RGlyZWN0aW9uYWxpdHl9IGZyb20gJ0Bhbmd1bGFyL2Nkay9iaWRpJztcbmltcG9ydCB7XG4gIEJvb2xlYW5JbnB1dCxcbiAgY29lcmNlQm9vbGVhblByb3BlcnR5LFxuICBjb2VyY2VOdW1iZXJQcm9wZXJ0eSxcbiAgTnVtYmVySW5wdXQsXG59IGZyb20gJ0Bhbmd1bGFyL2Nkay9jb2VyY2lvbic7XG5pbXBvcnQge0VTQ0FQRSwgaGFzTW9kaWZpZXJLZXl9IGZyb20gJ0Bhbmd1bGFyL2Nkay9rZXljb2Rlcyc7XG5pbXBvcnQge1xuICBDb25uZWN0aW9uUG9zaXRpb25QYWlyLFxuICBGbGV4aWJsZUNvbm5lY3RlZFBvc2l0aW9uU3RyYXRlZ3ksXG4gIE92ZXJsYXksXG4gIE92ZXJsYXlSZWYsXG4gIFNjcm9sbERpc3BhdGNoZXIsXG4gIFNjcm9sbFN0cmF0ZWd5LFxufSBmcm9tICdAYW5ndWxhci9jZGsvb3ZlcmxheSc7XG5pbXBvcnQge25vcm1hbGl6ZVBhc3NpdmVMaXN0ZW5lck9wdGlvbnMsIFBsYXRmb3JtfSBmcm9tICdAYW5ndWxhci9jZGsvcGxhdGZvcm0nO1xuaW1wb3J0IHtBZnRlclZpZXdJbml0LCBEaXJlY3RpdmUsIEVsZW1lbnRSZWYsIE5nWm9uZSwgT25EZXN0cm95fSBmcm9tICdAYW5ndWxhci9jb3JlJztcbmltcG9ydCB7U3ViamVjdH0gZnJvbSAncnhqcyc7XG5pbXBvcnQge2ZpbHRlciwgdGFrZVVudGlsfSBmcm9tICdyeGpzL29wZXJhdG9ycyc7XG5pbXBvcnQge0hvdmVySW50ZW50fSBmcm9tICcuL2hvdmVyLWludGVudCc7XG5pbXBvcnQge1xuICBDREtfVE9PTFRJUF9CQVNFX0RFRkFVTFRfT1BUSU9OUyxcbiAgQ2RrVG9vbHRpcERlZmF1bHRPcHRpb25zLFxuICBnZXRUb29sdGlwQ29ubmVjdGVkUG9zaXRpb25zLFxuICBUb29sdGlwUG9zaXRpb24sXG59IGZyb20gJy4vdG9vbHRpcC1jb25maWcnO1xuXG4vKiogT3B0aW9ucyBmb3IgdGhlIGxpc3RlbmVycyB0aGF0IGFyZSBib3VuZCB0byB0aGUgdHJpZ2dlci4gKi9cbmNvbnN0IHBhc3NpdmVMaXN0ZW5lck9wdGlvbnMgPSBub3JtYWxpemVQYXNzaXZlTGlzdGVuZXJPcHRpb25zKHtwYXNzaXZlOiB0cnVlfSk7XG5cbi8qKiBEaXN0YW5jZSBpbiBwaXhlbHMgYmV0d2VlbiB0aGUgcGFuZWwgYW5kIHRoZSBlZGdlcyBvZiB0aGUgdmlld3BvcnQuICovXG5jb25zdCBWSUVXUE9SVF9NQVJHSU4gPSA4O1xuXG4vKiogTWluaW11bSBkaXN0YW5jZSBpbiBwaXhlbHMgYmV0d2VlbiB0aGUgYXJyb3cgb2YgdGhlIHBhbmVsIGFuZCBpdHMgY29ybmVycy4gKi9cbmNvbnN0IEFSUk9XX1BBRERJTkcgPSA0O1xuXG4vKiogRGlzdGFuY2UgaW4gcGl4ZWxzIHRoYXQgYSB0b3VjaCBjYW4gbW92ZSBiZWZvcmUgaXQgbm8gbG9uZ2VyIGNvdW50cyBhcyBhIGxvbmcgcHJlc3MuICovXG5jb25zdCBMT05HX1BSRVNTX01PVkVfVEhSRVNIT0xEID0gMTA7XG5cbi8qKlxuICogQWJzdHJhY3QgZGlyZWN0aXZlIHRoYXQgaW1wbGVtZW50cyB0aGUgYmVoYXZpb3Igc2hhcmVkIGJ5IGBDZGtUb29sdGlwYCBhbmQgYENka1BvcG92ZXJgOlxuICogc2hvd2luZyBhbmQgaGlkaW5nIGEgcGFuZWwgaW4gYW4gb3ZlcmxheSBhZnRlciBhIGRlbGF5LCBob3ZlciBpbnRlbnQsIHRvdWNoIGxvbmctcHJlc3NlcyxcbiAqIGRpc21pc3NhbCB0aHJvdWdoIHRoZSBlc2NhcGUga2V5IGFuZCBwbGFjZW1lbnQgdGhyb3VnaCBhIGBGbGV4aWJsZUNvbm5lY3RlZFBvc2l0aW9uU3RyYXRlZ3lgXG4gKiB3aGljaCBmYWxscyBiYWNrIHRvIHRoZSBvdGhlciBzaWRlcyBvZiB0aGUgdHJpZ2dlciBpZiB0aGUgcGFuZWwgZG9lc24ndCBmaXQuIEFuIGVsZW1lbnQgd2l0aFxuICogdGhlIGBjZGstdG9vbHRpcC1hcnJvd2Agb3IgYGNkay1wb3BvdmVyLWFycm93YCBjbGFzcyBpbnNpZGUgb2YgdGhlIHBhbmVsIGlzIHBvc2l0aW9uZWRcbiAqIHN1Y2ggdGhhdCBpdCBwb2ludHMgdG93YXJkcyB0aGUgY2VudGVyIG9mIHRoZSB0cmlnZ2VyLlxuICovXG5ARGlyZWN0aXZlKClcbmV4cG9ydCBhYnN0cmFjdCBjbGFzcyBDZGtUb29sdGlwQmFzZSBpbXBsZW1lbnRzIEFmdGVyVmlld0luaXQsIE9uRGVzdHJveSB7XG4gIC8qKiBQbGFjZW1lbnQgb2YgdGhlIHBhbmVsIHJlbGF0aXZlIHRvIHRoZSB0cmlnZ2VyLiAqL1xuICBnZXQgcG9zaXRpb24oKTogVG9vbHRpcFBvc2l0aW9uIHsgcmV0dXJuIHRoaXMuX3Bvc2l0aW9uOyB9XG4gIHNldCBwb3NpdGlvbih2YWx1ZTogVG9vbHRpcFBvc2l0aW9uKSB7XG4gICAgaWYgKHZhbHVlICE9PSB0aGlzLl9wb3NpdGlvbikge1xuICAgICAgdGhpcy5fcG9zaXRpb24gPSB2YWx1ZTtcblxuICAgICAgaWYgKHRoaXMuX292ZXJsYXlSZWYpIHtcbiAgICAgICAgdGhpcy5fdXBkYXRlUG9zaXRpb24odGhpcy5fb3ZlcmxheVJlZik7XG4gICAgICAgIHRoaXMuX292ZXJsYXlSZWYudXBkYXRlUG9zaXRpb24oKTtcbiAgICAgIH1cbiAgICB9XG4gIH1cbiAgcHJpdmF0ZSBfcG9zaXRpb246IFRvb2x0aXBQb3NpdGlvbjtcblxuICAvKiogV2hldGhlciB0aGUgdHJpZ2dlciBpcyBkaXNhYmxlZC4gRGlzYWJsZWQgdHJpZ2dlcnMgZG9uJ3Qgc2hvdyB0aGVpciBwYW5lbC4gKi9cbiAgZ2V0IGRpc2FibGVkKCk6IGJvb2xlYW4geyByZXR1cm4gdGhpcy5fZGlzYWJsZWQ7IH1cbiAgc2V0IGRpc2FibGVkKHZhbHVlOiBib29sZWFuKSB7XG4gICAgdGhpcy5fZGlzYWJsZWQgPSBjb2VyY2VCb29sZWFuUHJvcGVydHkodmFsdWUpO1xuXG4gICAgaWYgKHRoaXMuX2Rpc2FibGVkKSB7XG4gICAgICB0aGlzLmhpZGUoMCk7XG4gICAgfVxuICB9XG4gIHByaXZhdGUgX2Rpc2FibGVkID0gZmFsc2U7XG5cbiAgLyoqIFRpbWUgaW4gbWlsbGlzZWNvbmRzIGJldHdlZW4gdGhlIHVzZXIgcG9pbnRpbmcgYXQgdGhlIHRyaWdnZXIgYW5kIHRoZSBwYW5lbCBzaG93aW5nLiAqL1xuICBnZXQgc2hvd0RlbGF5KCk6IG51bWJlciB7IHJldHVybiB0aGlzLl9zaG93RGVsYXk7IH1cbiAgc2V0IHNob3dEZWxheSh2YWx1ZTogbnVtYmVyKSB7XG4gICAgdGhpcy5fc2hvd0RlbGF5ID0gY29lcmNlTnVtYmVyUHJvcGVydHkodmFsdWUpO1xuICB9XG4gIHByaXZhdGUgX3Nob3dEZWxheTogbnVtYmVyO1xuXG4gIC8qKiBUaW1lIGluIG1pbGxpc2Vjb25kcyBiZXR3ZWVuIHRoZSB1c2VyIGxlYXZpbmcgdGhlIHRyaWdnZXIgYW5kIHRoZSBwYW5lbCBoaWRpbmcuICovXG4gIGdldCBoaWRlRGVsYXkoKTogbnVtYmVyIHsgcmV0dXJuIHRoaXMuX2hpZGVEZWxheTsgfVxuICBzZXQgaGlkZURlbGF5KHZhbHVlOiBudW1iZXIpIHtcbiAgICB0aGlzLl9oaWRlRGVsYXkgPSBjb2VyY2VOdW1iZXJQcm9wZXJ0eSh2YWx1ZSk7XG4gIH1cbiAgcHJpdmF0ZSBfaGlkZURlbGF5OiBudW1iZXI7XG5cbiAgLyoqIENsYXNzZXMgdG8gYmUgYWRkZWQgdG8gdGhlIG92ZXJsYXkgcGFuZSB0aGF0IHJlbmRlcnMgdGhlIHBhbmVsLiAqL1xuICBnZXQgcGFuZWxDbGFzcygpOiBzdHJpbmcgfCBzdHJpbmdbXSB7IHJldHVybiB0aGlzLl9wYW5lbENsYXNzOyB9XG4gIHNldCBwYW5lbENsYXNzKHZhbHVlOiBzdHJpbmcgfCBzdHJpbmdbXSkge1xuICAgIGlmICh0aGlzLl9vdmVybGF5UmVmKSB7XG4gICAgICB0aGlzLl9vdmVybGF5UmVmLnJlbW92ZVBhbmVsQ2xhc3ModGhpcy5fcGFuZWxDbGFzcyk7XG4gICAgICB0aGlzLl9vdmVybGF5UmVmLmFkZFBhbmVsQ2xhc3ModmFsdWUpO1xuICAgIH1cblxuICAgIHRoaXMuX3BhbmVsQ2xhc3MgPSB2YWx1ZTtcbiAgfVxuICBwcml2YXRlIF9wYW5lbENsYXNzOiBzdHJpbmcgfCBzdHJpbmdbXSA9IFtdO1xuXG4gIC8qKiBSZWZlcmVuY2UgdG8gdGhlIG92ZXJsYXkgdGhhdCByZW5kZXJzIHRoZSBwYW5lbCwgb25jZSBpdCBoYXMgYmVlbiBjcmVhdGVkLiAqL1xuICBwcm90ZWN0ZWQgX292ZXJsYXlSZWY6IE92ZXJsYXlSZWYgfCBudWxsID0gbnVsbDtcblxuICAvKiogT3B0aW9ucyB0aGF0IGRldGVybWluZSB0aGUgZGVmYXVsdHMgb2YgdGhlIHRyaWdnZXIuICovXG4gIHByb3RlY3RlZCByZWFkb25seSBfZGVmYXVsdE9wdGlvbnM6IFJlcXVpcmVkPENka1Rvb2x0aXBEZWZhdWx0T3B0aW9ucz47XG5cbiAgLyoqIEVtaXRzIHdoZW4gdGhlIHRyaWdnZXIgaXMgZGVzdHJveWVkLiAqL1xuICBwcm90ZWN0ZWQgcmVhZG9ubHkgX2Rlc3Ryb3llZCA9IG5ldyBTdWJqZWN0PHZvaWQ+KCk7XG5cbiAgLyoqIFJlZmVyZW5jZSB0byB0aGUgZG9jdW1lbnQuICovXG4gIHByb3RlY3RlZCByZWFkb25seSBfZG9jdW1lbnQ6IERvY3VtZW50O1xuXG4gIC8qKiBQcmVmaXggb2YgdGhlIGNsYXNzZXMgdGhhdCBhcmUgYWRkZWQgdG8gdGhlIG92ZXJsYXkgcGFuZSwgZS5nLiBgY2RrLXRvb2x0aXBgLiAqL1xuICBwcm90ZWN0ZWQgYWJzdHJhY3QgcmVhZG9ubHkgX2NsYXNzUHJlZml4OiBzdHJpbmc7XG5cbiAgLyoqIElEIG9mIHRoZSB0aW1lb3V0IGFmdGVyIHdoaWNoIHRoZSBwYW5lbCBpcyBzaG93bi4gKi9cbiAgcHJpdmF0ZSBfc2hvd1RpbWVvdXRJZDogbnVtYmVyIHwgbnVsbCA9IG51bGw7XG5cbiAgLyoqIElEIG9mIHRoZSB0aW1lb3V0IGFmdGVyIHdoaWNoIHRoZSBwYW5lbCBpcyBoaWRkZW4uICovXG4gIHByaXZhdGUgX2hpZGVUaW1lb3V0SWQ6IG51bWJlciB8IG51bGwgPSBudWxsO1xuXG4gIC8qKiBJRCBvZiB0aGUgdGltZW91dCBhZnRlciB3aGljaCBhIHRvdWNoIGNvdW50cyBhcyBhIGxvbmcgcHJlc3MuICovXG4gIHByaXZhdGUgX2xvbmdQcmVzc1RpbWVvdXRJZDogbnVtYmVyIHwgbnVsbCA9IG51bGw7XG5cbiAgLyoqIENvb3JkaW5hdGVzIGF0IHdoaWNoIHRoZSBjdXJyZW50IHRvdWNoIHN0YXJ0ZWQuICovXG4gIHByaXZhdGUgX3RvdWNoU3RhcnRQb3NpdGlvbjoge3g6IG51bWJlciwgeTogbnVtYmVyfSB8IG51bGwgPSBudWxsO1xuXG4gIC8qKiBDbGFzcyB0aGF0IHJlZmxlY3RzIHRoZSBzaWRlIG9mIHRoZSB0cmlnZ2VyIG9uIHdoaWNoIHRoZSBwYW5lbCB3YXMgcGxhY2VkLiAqL1xuICBwcml2YXRlIF9wbGFjZW1lbnRDbGFzczogc3RyaW5nIHwgbnVsbCA9IG51bGw7XG5cbiAgLyoqIFRyYWNrcyB3aGV0aGVyIHRoZSB1c2VyIGludGVuZHMgdG8gcG9pbnQgYXQgdGhlIHRyaWdnZXIuICovXG4gIHByaXZhdGUgcmVhZG9ubHkgX2hvdmVySW50ZW50OiBIb3ZlckludGVudDtcblxuICAvKiogQ3JlYXRlcyB0aGUgc2Nyb2xsIHN0cmF0ZWd5IG9mIHRoZSBvdmVybGF5IHRoYXQgcmVuZGVycyB0aGUgcGFuZWwuICovXG4gIHByaXZhdGUgcmVhZG9ubHkgX3Njcm9sbFN0cmF0ZWd5OiAoKSA9PiBTY3JvbGxTdHJhdGVneTtcblxuICAvKiogTGlzdGVuZXJzIHRoYXQgaGF2ZSBiZWVuIGJvdW5kIHRvIHRoZSB0cmlnZ2VyLiAqL1xuICBwcml2YXRlIHJlYWRvbmx5IF90cmlnZ2VyTGlzdGVuZXJzOiBbc3RyaW5nLCBFdmVudExpc3RlbmVyXVtdID0gW107XG5cbiAgY29uc3RydWN0b3IoXG4gICAgcHJvdGVjdGVkIHJlYWRvbmx5IF9vdmVybGF5OiBPdmVybGF5LFxuICAgIHByb3RlY3RlZCByZWFkb25seSBfZWxlbWVudFJlZjogRWxlbWVudFJlZjxIVE1MRWxlbWVudD4sXG4gICAgcHJvdGVjdGVkIHJlYWRvbmx5IF9uZ1pvbmU6IE5nWm9uZSxcbiAgICBwcml2YXRlIHJlYWRvbmx5IF9zY3JvbGxEaXNwYXRjaGVyOiBTY3JvbGxEaXNwYXRjaGVyLFxuICAgIHByaXZhdGUgcmVhZG9ubHkgX3BsYXRmb3JtOiBQbGF0Zm9ybSxcbiAgICBwcml2YXRlIHJlYWRvbmx5IF9mb2N1c01vbml0b3I6IEZvY3VzTW9uaXRvcixcbiAgICBzY3JvbGxTdHJhdGVneTogYW55LFxuICAgIGRvY3VtZW50OiBhbnksXG4gICAgcHJvdGVjdGVkIHJlYWRvbmx5IF9kaXI/OiBEaXJlY3Rpb25hbGl0eSxcbiAgICBkZWZhdWx0T3B0aW9ucz86IENka1Rvb2x0aXBEZWZhdWx0T3B0aW9ucykge1xuICAgIHRoaXMuX3Njcm9sbFN0cmF0ZWd5ID0gc2Nyb2xsU3RyYXRlZ3k7XG4gICAgdGhpcy5fZG9jdW1lbnQgPSBkb2N1bWVudDtcbiAgICB0aGlzLl9kZWZhdWx0T3B0aW9ucyA9IHsuLi5DREtfVE9PTFRJUF9CQVNFX0RFRkFVTFRfT1BUSU9OUywgLi4uZGVmYXVsdE9wdGlvbnN9O1xuICAgIHRoaXMuX3Bvc2l0aW9uID0gdGhpcy5fZGVmYXVsdE9wdGlvbnMucG9zaXRpb247XG4gICAgdGhpcy5fc2hvd0RlbGF5ID0gdGhpcy5fZGVmYXVsdE9wdGlvbnMuc2hvd0RlbGF5O1xuICAgIHRoaXMuX2hpZGVEZWxheSA9IHRoaXMuX2RlZmF1bHRPcHRpb25zLmhpZGVEZWxheTtcbiAgICB0aGlzLl9ob3ZlckludGVudCA9IG5ldyBIb3ZlckludGVudChfZWxlbWVudFJlZi5uYXRpdmVFbGVtZW50LCBfbmdab25lKTtcbiAgfVxuXG4gIG5nQWZ0ZXJWaWV3SW5pdCgpIHtcbiAgICB0aGlzLl9iaW5kVHJpZ2dlckxpc3RlbmVycygpO1xuXG4gICAgdGhpcy5fZm9jdXNNb25pdG9yLm1vbml0b3IodGhpcy5fZWxlbWVudFJlZilcbiAgICAgIC5waXBlKHRha2VVbnRpbCh0aGlzLl9kZXN0cm95ZWQpKVxuICAgICAgLnN1YnNjcmliZShvcmlnaW4gPT4ge1xuICAgICAgICBpZiAoIXRoaXMuX3Nob3dzT25Ib3ZlckFuZEZvY3VzKCkpIHtcbiAgICAgICAgICByZXR1cm47XG4gICAgICAgIH1cblxuICAgICAgICAvLyBPbmx5IGtleWJvYXJkIGZvY3VzIHNob3dzIHRoZSBwYW5lbCwgYmVjYXVzZSBwb2ludGVyIHVzZXJzXG4gICAgICAgIC8vIHNlZSB0aGUgcGFuZWwgd2hlbiB0aGV5IGhvdmVyIG92ZXIgdGhlIHRyaWdnZXIuXG4gICAgICAgIGlmICghb3JpZ2luKSB7XG4gICAgICAgICAgdGhpcy5faGlkZUlmRm9jdXNMZWZ0KCk7XG4gICAgICAgIH0gZWxzZSBpZiAob3JpZ2luID09PSAna2V5Ym9hcmQnKSB7XG4gICAgICAgICAgdGhpcy5zaG93KCk7XG4gICAgICAgIH1cbiAgICAgIH0pO1xuICB9XG5cbiAgbmdPbkRlc3Ryb3koKSB7XG4gICAgY29uc3QgZWxlbWVudCA9IHRoaXMuX2VsZW1lbnRSZWYubmF0aXZlRWxlbWVudDtcblxuICAgIHRoaXMuX2NsZWFyU2hvd1RpbWVvdXQoKTtcbiAgICB0aGlzLl9jbGVhckhpZGVUaW1lb3V0KCk7XG4gICAgdGhpcy5fY2xlYXJMb25nUHJlc3NUaW1lb3V0KCk7XG4gICAgdGhpcy5faG92ZXJJbnRlbnQuc3RvcCgpO1xuICAgIHRoaXMuX3RyaWdnZXJMaXN0ZW5lcnMuZm9yRWFjaCgoW2V2ZW50LCBsaXN0ZW5lcl0pID0+IHtcbiAgICAgIGVsZW1lbnQucmVtb3ZlRXZlbnRMaXN0ZW5lcihldmVudCwgbGlzdGVuZXIsIHBhc3NpdmVMaXN0ZW5lck9wdGlvbnMpO1xuICAgIH0pO1xuICAgIHRoaXMuX3RyaWdnZXJMaXN0ZW5lcnMubGVuZ3RoID0gMDtcbiAgICB0aGlzLl9mb2N1c01vbml0b3Iuc3RvcE1vbml0b3JpbmcoZWxlbWVudCk7XG5cbiAgICBpZiAodGhpcy5fb3ZlcmxheVJlZikge1xuICAgICAgdGhpcy5fb3ZlcmxheVJlZi5kaXNwb3NlKCk7XG4gICAgICB0aGlzLl9vdmVybGF5UmVmID0gbnVsbDtcbiAgICB9XG5cbiAgICB0aGlzLl9kZXN0cm95ZWQubmV4dCgpO1xuICAgIHRoaXMuX2Rlc3Ryb3llZC5jb21wbGV0ZSgpO1xuICB9XG5cbiAgLyoqIFdoZXRoZXIgdGhlIHBhbmVsIGlzIGN1cnJlbnRseSBzaG93bi4gKi9cbiAgaXNTaG93bigpOiBib29sZWFuIHtcbiAgICByZXR1cm4gISF0aGlzLl9vdmVybGF5UmVmICYmIHRoaXMuX292ZXJsYXlSZWYuaGFzQXR0YWNoZWQoKTtcbiAgfVxuXG4gIC8qKlxuICAgKiBTaG93cyB0aGUgcGFuZWwgYWZ0ZXIgYSBkZWxheS5cbiAgICogQHBhcmFtIGRlbGF5IFRpbWUgaW4gbWlsbGlzZWNvbmRzIGFmdGVyIHdoaWNoIHRvIHNob3cgdGhlIHBhbmVsLlxuICAgKi9cbiAgc2hvdyhkZWxheTogbnVtYmVyID0gdGhpcy5zaG93RGVsYXkpOiB2b2lkIHtcbiAgICBpZiAodGhpcy5kaXNhYmxlZCB8fCAhdGhpcy5faGFzQ29udGVudCgpKSB7XG4gICAgICByZXR1cm47XG4gICAgfVxuXG4gICAgdGhpcy5fY2xlYXJIaWRlVGltZW91dCgpO1xuXG4gICAgaWYgKHRoaXMuaXNTaG93bigpKSB7XG4gICAgICByZXR1cm47XG4gICAgfVxuXG4gICAgaWYgKGRlbGF5ID4gMCkge1xuICAgICAgaWYgKHRoaXMuX3Nob3dUaW1lb3V0SWQgPT09IG51bGwpIHtcbiAgICAgICAgdGhpcy5fc2hvd1RpbWVvdXRJZCA9IHNldFRpbWVvdXQoKCkgPT4ge1xuICAgICAgICAgIHRoaXMuX3Nob3dUaW1lb3V0SWQgPSBudWxsO1xuICAgICAgICAgIHRoaXMuX2F0dGFjaCgpO1xuICAgICAgICB9LCBkZWxheSk7XG4gICAgICB9XG4gICAgfSBlbHNlIHtcbiAgICAgIHRoaXMuX2NsZWFyU2hvd1RpbWVvdXQoKTtcbiAgICAgIHRoaXMuX2F0dGFjaCgpO1xuICAgIH1cbiAgfVxuXG4gIC8qKlxuICAgKiBIaWRlcyB0aGUgcGFuZWwgYWZ0ZXIgYSBkZWxheS5cbiAgICogQHBhcmFtIGRlbGF5IFRpbWUgaW4gbWlsbGlzZWNvbmRzIGFmdGVyIHdoaWNoIHRvIGhpZGUgdGhlIHBhbmVsLlxuICAgKi9cbiAgaGlkZShkZWxheTogbnVtYmVyID0gdGhpcy5oaWRlRGVsYXkpOiB2b2lkIHtcbiAgICB0aGlzLl9jbGVhclNob3dUaW1lb3V0KCk7XG4gICAgdGhpcy5faG92ZXJJbnRlbnQuc3RvcCgpO1xuXG4gICAgaWYgKCF0aGlzLmlzU2hvd24oKSkge1xuICAgICAgcmV0dXJuO1xuICAgIH1cblxuICAgIGlmIChkZWxheSA+IDApIHtcbiAgICAgIGlmICh0aGlzLl9oaWRlVGltZW91dElkID09PSBudWxsKSB7XG4gICAgICAgIHRoaXMuX2hpZGVUaW1lb3V0SWQgPSBzZXRUaW1lb3V0KCgpID0+IHtcbiAgICAgICAgICB0aGlzLl9oaWRlVGltZW91dElkID0gbnVsbDtcbiAgICAgICAgICB0aGlzLl9kZXRhY2goKTtcbiAgICAgICAgfSwgZGVsYXkpO1xuICAgICAgfVxuICAgIH0gZWxzZSB7XG4gICAgICB0aGlzLl9jbGVhckhpZGVUaW1lb3V0KCk7XG4gICAgICB0aGlzLl9kZXRhY2goKTtcbiAgICB9XG4gIH1cblxuICAvKiogU2hvd3MgdGhlIHBhbmVsIGlmIGl0IGlzIGhpZGRlbiBhbmQgaGlkZXMgaXQgaWYgaXQgaXMgc2hvd24sIHdpdGhvdXQgYSBkZWxheS4gKi9cbiAgdG9nZ2xlKCk6IHZvaWQge1xuICAgIHRoaXMuaXNTaG93bigpID8gdGhpcy5oaWRlKDApIDogdGhpcy5zaG93KDApO1xuICB9XG5cbiAgLyoqIFVwZGF0ZXMgdGhlIHBvc2l0aW9uIG9mIHRoZSBwYW5lbCwgZS5nLiBhZnRlciBpdHMgY29udGVudCBoYXMgY2hhbmdlZC4gKi9cbiAgdXBkYXRlUG9zaXRpb24oKTogdm9pZCB7XG4gICAgaWYgKHRoaXMuX292ZXJsYXlSZWYpIHtcbiAgICAgIHRoaXMuX292ZXJsYXlSZWYudXBkYXRlUG9zaXRpb24oKTtcbiAgICB9XG4gIH1cblxuICAvKiogV2hldGhlciB0aGUgdHJpZ2dlciBoYXMgY29udGVudCB0aGF0IGNhbiBiZSBzaG93biBpbiB0aGUgcGFuZWwuICovXG4gIHByb3RlY3RlZCBhYnN0cmFjdCBfaGFzQ29udGVudCgpOiBib29sZWFuO1xuXG4gIC8qKiBXaGV0aGVyIHRoZSBwYW5lbCBpcyBzaG93biBvbiBob3ZlciwgbG9uZyBwcmVzcyBhbmQga2V5Ym9hcmQgZm9jdXMuICovXG4gIHByb3RlY3RlZCBhYnN0cmFjdCBfc2hvd3NPbkhvdmVyQW5kRm9jdXMoKTogYm9vbGVhbjtcblxuICAvKiogUmVuZGVycyB0aGUgY29udGVudCBvZiB0aGUgcGFuZWwgaW5zaWRlIG9mIHRoZSBvdmVybGF5LiAqL1xuICBwcm90ZWN0ZWQgYWJzdHJhY3QgX2F0dGFjaENvbnRlbnQob3ZlcmxheVJlZjogT3ZlcmxheVJlZik6IHZvaWQ7XG5cbiAgLyoqIEludm9rZWQgb25jZSB0aGUgb3ZlcmxheSB0aGF0IHJlbmRlcnMgdGhlIHBhbmVsIGhhcyBiZWVuIGNyZWF0ZWQuICovXG4gIHByb3RlY3RlZCBfb25PdmVybGF5Q3JlYXRlZChfb3ZlcmxheVJlZjogT3ZlcmxheVJlZik6IHZvaWQge31cblxuICAvKiogSW52b2tlZCBvbmNlIHRoZSBwYW5lbCBoYXMgYmVlbiBoaWRkZW4uICovXG4gIHByb3RlY3RlZCBfb25EZXRhY2hlZCgpOiB2b2lkIHt9XG5cbiAgLyoqIEhhbmRsZXMgdGhlIHVzZXIgcHJlc3NpbmcgdGhlIGVzY2FwZSBrZXkgd2hpbGUgdGhlIHBhbmVsIGlzIHNob3duLiAqL1xuICBwcm90ZWN0ZWQgX2hhbmRsZUVzY2FwZSgpOiB2b2lkIHtcbiAgICB0aGlzLmhpZGUoMCk7XG4gIH1cblxuICAvKiogV2hldGhlciBhIG5vZGUgaXMgaW5zaWRlIG9mIHRoZSBvdmVybGF5IHBhbmUgdGhhdCByZW5kZXJzIHRoZSBwYW5lbC4gKi9cbiAgcHJvdGVjdGVkIF9pc0luc2lkZVBhbmVsKG5vZGU6IE5vZGUgfCBudWxsKTogYm9vbGVhbiB7XG4gICAgcmV0dXJuICEhbm9kZSAmJiAhIXRoaXMuX292ZXJsYXlSZWYgJiYgdGhpcy5fb3ZlcmxheVJlZi5vdmVybGF5RWxlbWVudC5jb250YWlucyhub2RlKTtcbiAgfVxuXG4gIC8qKiBSZW5kZXJzIHRoZSBwYW5lbCBpbnNpZGUgb2YgdGhlIG92ZXJsYXkuICovXG4gIHByaXZhdGUgX2F0dGFjaCgpIHtcbiAgICBjb25zdCBvdmVybGF5UmVmID0gdGhpcy5fZ2V0T3ZlcmxheVJlZigpO1xuXG4gICAgLy8gVGhlIGRpcmVjdGlvbiBtYXkgaGF2ZSBjaGFuZ2VkIHNpbmNlIHRoZSBwYW5lbCB3YXMgc2hvd24gdGhlIGxhc3QgdGltZS5cbiAgICB0aGlzLl91cGRhdGVQb3NpdGlvbihvdmVybGF5UmVmKTtcbiAgICB0aGlzLl9hdHRhY2hDb250ZW50KG92ZXJsYXlSZWYpO1xuICB9XG5cbiAgLyoqIFJlbW92ZXMgdGhlIHBhbmVsIGZyb20gdGhlIG92ZXJsYXkuICovXG4gIHByaXZhdGUgX2RldGFjaCgpIHtcbiAgICBpZiAodGhpcy5pc1Nob3duKCkpIHtcbiAgICAgIHRoaXMuX292ZXJsYXlSZWYhLmRldGFjaCgpO1xuICAgIH1cbiAgfVxuXG4gIC8qKiBHZXRzIHRoZSBvdmVybGF5IHRoYXQgcmVuZGVycyB0aGUgcGFuZWwsIGNyZWF0aW5nIGl0IGlmIGl0IGRvZXNuJ3QgZXhpc3QgeWV0LiAqL1xuICBwcml2YXRlIF9nZXRPdmVybGF5UmVmKCk6IE92ZXJsYXlSZWYge1xuICAgIGlmICh0aGlzLl9vdmVybGF5UmVmKSB7XG4gICAgICByZXR1cm4gdGhpcy5fb3ZlcmxheVJlZjtcbiAgICB9XG5cbiAgICBjb25zdCBzY3JvbGxhYmxlQW5jZXN0b3JzID1cbiAgICAgICAgdGhpcy5fc2Nyb2xsRGlzcGF0Y2hlci5nZXRBbmNlc3RvclNjcm9sbENvbnRhaW5lcnModGhpcy5fZWxlbWVudFJlZik7XG4gICAgY29uc3QgcG9zaXRpb25TdHJhdGVneSA9IHRoaXMuX292ZXJsYXkucG9zaXRpb24oKVxuICAgICAgLmZsZXhpYmxlQ29ubmVjdGVkVG8odGhpcy5fZWxlbWVudFJlZilcbiAgICAgIC53aXRoRmxleGlibGVEaW1lbnNpb25zKGZhbHNlKVxuICAgICAgLndpdGhWaWV3cG9ydE1hcmdpbihWSUVXUE9SVF9NQVJHSU4pXG4gICAgICAud2l0aFNjcm9sbGFibGVDb250YWluZXJzKHNjcm9sbGFibGVBbmNlc3RvcnMpXG4gICAgICAud2l0aEFycm93T24oYC4ke3RoaXMuX2NsYXNzUHJlZml4fS1hcnJvd2AsIEFSUk9XX1BBRERJTkcpO1xuXG4gICAgcG9zaXRpb25TdHJhdGVneS5wb3NpdGlvbkNoYW5nZXMucGlwZSh0YWtlVW50aWwodGhpcy5fZGVzdHJveWVkKSkuc3Vic2NyaWJlKGNoYW5nZSA9PiB7XG4gICAgICB0aGlzLl91cGRhdGVQbGFjZW1lbnRDbGFzcyhjaGFuZ2UuY29ubmVjdGlvblBhaXIpO1xuXG4gICAgICAvLyBUaGUgcGFuZWwgd291bGQgb3RoZXJ3aXNlIGJlIGxlZnQgZmxvYXRpbmcgb24gaXRzIG93biBvbmNlXG4gICAgICAvLyB0aGUgdHJpZ2dlciBoYXMgYmVlbiBzY3JvbGxlZCBvdXQgb2Ygb25lIG9mIGl0cyBjb250YWluZXJzLlxuICAgICAgaWYgKGNoYW5nZS5zY3JvbGxhYmxlVmlld1Byb3BlcnRpZXMuaXNPdmVybGF5Q2xpcHBlZCAmJiB0aGlzLmlzU2hvd24oKSkge1xuICAgICAgICB0aGlzLl9uZ1pvbmUucnVuKCgpID0+IHRoaXMuaGlkZSgwKSk7XG4gICAgICB9XG4gICAgfSk7XG5cbiAgICBjb25zdCBvdmVybGF5UmVmID0gdGhpcy5fb3ZlcmxheVJlZiA9IHRoaXMuX292ZXJsYXkuY3JlYXRlKHtcbiAgICAgIGRpcmVjdGlvbjogdGhpcy5fZGlyLFxuICAgICAgcG9zaXRpb25TdHJhdGVneSxcbiAgICAgIHBhbmVsQ2xhc3M6IHRoaXMuX3BhbmVsQ2xhc3MsXG4gICAgICBzY3JvbGxTdHJhdGVneTogdGhpcy5fc2Nyb2xsU3RyYXRlZ3koKSxcbiAgICB9KTtcblxuICAgIG92ZXJsYXlSZWYuYWRkUGFuZWxDbGFzcyhgJHt0aGlzLl9jbGFzc1ByZWZpeH0tcGFuZWxgKTtcbiAgICBvdmVybGF5UmVmLmRldGFjaG1lbnRzKCkucGlwZSh0YWtlVW50aWwodGhpcy5fZGVzdHJveWVkKSkuc3Vic2NyaWJlKCgpID0+IHRoaXMuX29uRGV0YWNoZWQoKSk7XG4gICAgb3ZlcmxheVJlZi5rZXlkb3duRXZlbnRzKClcbiAgICAgIC5waXBlKFxuICAgICAgICBmaWx0ZXIoZXZlbnQgPT4gZXZlbnQua2V5Q29kZSA9PT0gRVNDQVBFICYmICFoYXNNb2RpZmllcktleShldmVudCkpLFxuICAgICAgICB0YWtlVW50aWwodGhpcy5fZGVzdHJveWVkKSlcbiAgICAgIC5zdWJzY3JpYmUoZXZlbnQgPT4ge1xuICAgICAgICBldmVudC5wcmV2ZW50RGVmYXVsdCgpO1xuICAgICAgICBldmVudC5zdG9wUHJvcGFnYXRpb24oKTtcbiAgICAgICAgdGhpcy5fbmdab25lLnJ1bigoKSA9PiB0aGlzLl9oYW5kbGVFc2NhcGUoKSk7XG4gICAgICB9KTtcblxuICAgIHRoaXMuX2JpbmRQYW5lbExpc3RlbmVycyhvdmVybGF5UmVmLm92ZXJsYXlFbGVtZW50KTtcbiAgICB0aGlzLl9vbk92ZXJsYXlDcmVhdGVkKG92ZXJsYXlSZWYpO1xuICAgIHJldHVybiBvdmVybGF5UmVmO1xuICB9XG5cbiAgLyoqIFVwZGF0ZXMgdGhlIHBvc2l0aW9ucyBpbiB3aGljaCB0aGUgcGFuZWwgY2FuIGJlIHBsYWNlZC4gKi9cbiAgcHJpdmF0ZSBfdXBkYXRlUG9zaXRpb24ob3ZlcmxheVJlZjogT3ZlcmxheVJlZikge1xuICAgIGNvbnN0IHN0cmF0ZWd5ID0gb3ZlcmxheVJlZi5nZXRDb25maWcoKS5wb3NpdGlvblN0cmF0ZWd5IGFzIEZsZXhpYmxlQ29ubmVjdGVkUG9zaXRpb25TdHJhdGVneTtcbiAgICBzdHJhdGVneS53aXRoUG9zaXRpb25zKGdldFRvb2x0aXBDb25uZWN0ZWRQb3NpdGlvbnModGhpcy5wb3NpdGlvbiwgdGhpcy5faXNSdGwoKSkpO1xuICB9XG5cbiAgLyoqIEFkZHMgYSBjbGFzcyB0byB0aGUgb3ZlcmxheSBwYW5lIHdoaWNoIHJlZmxlY3RzIHRoZSBzaWRlIG9uIHdoaWNoIHRoZSBwYW5lbCB3YXMgcGxhY2VkLiAqL1xuICBwcml2YXRlIF91cGRhdGVQbGFjZW1lbnRDbGFzcyhwYWlyOiBDb25uZWN0aW9uUG9zaXRpb25QYWlyKSB7XG4gICAgbGV0IHBsYWNlbWVudDogJ2Fib3ZlJyB8ICdiZWxvdycgfCAnbGVmdCcgfCAncmlnaHQnO1xuXG4gICAgaWYgKHBhaXIub3JpZ2luWSA9PT0gJ3RvcCcgJiYgcGFpci5vdmVybGF5WSA9PT0gJ2JvdHRvbScpIHtcbiAgICAgIHBsYWNlbWVudCA9ICdhYm92ZSc7XG4gICAgfSBlbHNlIGlmIChwYWlyLm9yaWdpblkgPT09ICdib3R0b20nICYmIHBhaXIub3ZlcmxheVkgPT09ICd0b3AnKSB7XG4gICAgICBwbGFjZW1lbnQgPSAnYmVsb3cnO1xuICAgIH0gZWxzZSB7XG4gICAgICBwbGFjZW1lbnQgPSAocGFpci5vdmVybGF5WCA9PT0gJ2VuZCcpICE9PSB0aGlzLl9pc1J0bCgpID8gJ2xlZnQnIDogJ3JpZ2h0JztcbiAgICB9XG5cbiAgICBjb25zdCBwbGFjZW1lbnRDbGFzcyA9IGAke3RoaXMuX2NsYXNzUHJlZml4fS1wYW5lbC0ke3BsYWNlbWVudH1gO1xuXG4gICAgaWYgKHRoaXMuX292ZXJsYXlSZWYgJiYgcGxhY2VtZW50Q2xhc3MgIT09IHRoaXMuX3BsYWNlbWVudENsYXNzKSB7XG4gICAgICBpZiAodGhpcy5fcGxhY2VtZW50Q2xhc3MpIHtcbiAgICAgICAgdGhpcy5fb3ZlcmxheVJlZi5yZW1vdmVQYW5lbENsYXNzKHRoaXMuX3BsYWNlbWVudENsYXNzKTtcbiAgICAgIH1cblxuICAgICAgdGhpcy5fb3ZlcmxheVJlZi5hZGRQYW5lbENsYXNzKHBsYWNlbWVudENsYXNzKTtcbiAgICAgIHRoaXMuX3BsYWNlbWVudENsYXNzID0gcGxhY2VtZW50Q2xhc3M7XG4gICAgfVxuICB9XG5cbiAgLyoqIEJpbmRzIHRoZSBwb2ludGVyIGxpc3RlbmVycyB0aGF0IHNob3cgYW5kIGhpZGUgdGhlIHBhbmVsIHRvIHRoZSB0cmlnZ2VyLiAqL1xuICBwcml2YXRlIF9iaW5kVHJpZ2dlckxpc3RlbmVycygpIHtcbiAgICBjb25zdCBlbGVtZW50ID0gdGhpcy5fZWxlbWVudFJlZi5uYXRpdmVFbGVtZW50O1xuXG4gICAgLy8gVG91Y2ggZGV2aWNlcyBlbXVsYXRlIG1vdXNlIGV2ZW50cyBhZnRlciBhIHRvdWNoLCB3aGljaCB3b3VsZCBpbnRlcmZlcmVcbiAgICAvLyB3aXRoIHRoZSBsb25nIHByZXNzLCBzbyBvbmx5IG9uZSBvZiB0aGUgdHdvIGtpbmRzIG9mIGxpc3RlbmVycyBpcyBib3VuZC5cbiAgICBpZiAodGhpcy5fcGxhdGZvcm1TdXBwb3J0c01vdXNlRXZlbnRzKCkpIHtcbiAgICAgIHRoaXMuX3RyaWdnZXJMaXN0ZW5lcnMucHVzaChcbiAgICAgICAgWydtb3VzZWVudGVyJywgZXZlbnQgPT4gdGhpcy5faGFuZGxlTW91c2VlbnRlcihldmVudCBhcyBNb3VzZUV2ZW50KV0sXG4gICAgICAgIFsnbW91c2VsZWF2ZScsIGV2ZW50ID0+IHRoaXMuX2hhbmRsZU1vdXNlbGVhdmUoZXZlbnQgYXMgTW91c2VFdmVudCldLFxuICAgICAgKTtcbiAgICB9IGVsc2Uge1xuICAgICAgdGhpcy5fZGlzYWJsZU5hdGl2ZUdlc3R1cmVzSWZOZWNlc3NhcnkoKTtcbiAgICAgIHRoaXMuX3RyaWdnZXJMaXN0ZW5lcnMucHVzaChcbiAgICAgICAgWyd0b3VjaHN0YXJ0JywgZXZlbnQgPT4gdGhpcy5faGFuZGxlVG91Y2hzdGFydChldmVudCBhcyBUb3VjaEV2ZW50KV0sXG4gICAgICAgIFsndG91Y2htb3ZlJywgZXZlbnQgPT4gdGhpcy5faGFuZGxlVG91Y2htb3ZlKGV2ZW50IGFzIFRvdWNoRXZlbnQpXSxcbiAgICAgICAgWyd0b3VjaGVuZCcsICgpID0+IHRoaXMuX2hhbmRsZVRvdWNoZW5kKCldLFxuICAgICAgICBbJ3RvdWNoY2FuY2VsJywgKCkgPT4gdGhpcy5faGFuZGxlVG91Y2hlbmQoKV0sXG4gICAgICApO1xuICAgIH1cblxuICAgIHRoaXMuX25nWm9uZS5ydW5PdXRzaWRlQW5ndWxhcigoKSA9PiB7XG4gICAgICB0aGlzLl90cmlnZ2VyTGlzdGVuZXJzLmZvckVhY2goKFtldmVudCwgbGlzdGVuZXJdKSA9PiB7XG4gICAgICAgIGVsZW1lbnQuYWRkRXZlbnRMaXN0ZW5lcihldmVudCwgbGlzdGVuZXIsIHBhc3NpdmVMaXN0ZW5lck9wdGlvbnMpO1xuICAgICAgfSk7XG4gICAgfSk7XG4gIH1cblxuICAvKipcbiAgICogQmluZHMgdGhlIGxpc3RlbmVycyB3aGljaCBrZWVwIHRoZSBwYW5lbCBzaG93biB3aGlsZSB0aGUgdXNlciBpbnRlcmFjdHMgd2l0aCBpdCxcbiAgICogYWxsb3dpbmcgdGhlbSB0byBtb3ZlIHRoZSBwb2ludGVyIG9yIGZvY3VzIGZyb20gdGhlIHRyaWdnZXIgdG8gdGhlIHBhbmVsLlxuICAgKi9cbiAgcHJpdmF0ZSBfYmluZFBhbmVsTGlzdGVuZXJzKHBhbmU6IEhUTUxFbGVtZW50KSB7XG4gICAgdGhpcy5fbmdab25lLnJ1bk91dHNpZGVBbmd1bGFyKCgpID0+IHtcbiAgICAgIHBhbmUuYWRkRXZlbnRMaXN0ZW5lcignbW91c2VlbnRlcicsICgpID0+IHtcbiAgICAgICAgaWYgKHRoaXMuX3Nob3dzT25Ib3ZlckFuZEZvY3VzKCkpIHtcbiAgICAgICAgICB0aGlzLl9jbGVhckhpZGVUaW1lb3V0KCk7XG4gICAgICAgIH1cbiAgICAgIH0pO1xuXG4gICAgICBwYW5lLmFkZEV2ZW50TGlzdGVuZXIoJ21vdXNlbGVhdmUnLCBldmVudCA9PiB7XG4gICAgICAgIGNvbnN0IHRhcmdldCA9IGV2ZW50LnJlbGF0ZWRUYXJnZXQgYXMgTm9kZSB8IG51bGw7XG5cbiAgICAgICAgaWYgKHRoaXMuX3Nob3dzT25Ib3ZlckFuZEZvY3VzKCkgJiYgIXRoaXMuX2VsZW1lbnRSZWYubmF0aXZlRWxlbWVudC5jb250YWlucyh0YXJnZXQpKSB7XG4gICAgICAgICAgdGhpcy5fbmdab25lLnJ1bigoKSA9PiB0aGlzLmhpZGUoKSk7XG4gICAgICAgIH1cbiAgICAgIH0pO1xuXG4gICAgICBwYW5lLmFkZEV2ZW50TGlzdGVuZXIoJ2ZvY3Vzb3V0JywgKCkgPT4ge1xuICAgICAgICBpZiAodGhpcy5fc2hvd3NPbkhvdmVyQW5kRm9jdXMoKSkge1xuICAgICAgICAgIHRoaXMuX2hpZGVJZkZvY3VzTGVmdCgpO1xuICAgICAgICB9XG4gICAgICB9KTtcbiAgICB9KTtcbiAgfVxuXG4gIC8qKiBIYW5kbGVzIHRoZSBwb2ludGVyIGVudGVyaW5nIHRoZSB0cmlnZ2VyLiAqL1xuICBwcml2YXRlIF9oYW5kbGVNb3VzZWVudGVyKGV2ZW50OiBNb3VzZUV2ZW50KSB7XG4gICAgaWYgKHRoaXMuZGlzYWJsZWQgfHwgIXRoaXMuX3Nob3dzT25Ib3ZlckFuZEZvY3VzKCkpIHtcbiAgICAgIHJldHVybjtcbiAgICB9XG5cbiAgICAvLyBUaGUgdXNlciBpcyBjb21pbmcgYmFjayBmcm9tIHRoZSBwYW5lbCBzbyB0aGVyZSdzIG5vIG5lZWQgdG8gd2FpdC5cbiAgICBpZiAodGhpcy5pc1Nob3duKCkpIHtcbiAgICAgIHRoaXMuX2NsZWFySGlkZVRpbWVvdXQoKTtcbiAgICAgIHJldHVybjtcbiAgICB9XG5cbiAgICBjb25zdCB7aG92ZXJJbnRlbnRTZW5zaXRpdml0eSwgaG92ZXJJbnRlbnRJbnRlcnZhbH0gPSB0aGlzLl9kZWZhdWx0T3B0aW9ucztcbiAgICB0aGlzLl9ob3ZlckludGVudC50cmFjayhldmVudCwgaG92ZXJJbnRlbnRTZW5zaXRpdml0eSwgaG92ZXJJbnRlbnRJbnRlcnZhbCwgKCkgPT4ge1xuICAgICAgdGhpcy5zaG93KCk7XG4gICAgfSk7XG4gIH1cblxuICAvKiogSGFuZGxlcyB0aGUgcG9pbnRlciBsZWF2aW5nIHRoZSB0cmlnZ2VyLiAqL1xuICBwcml2YXRlIF9oYW5kbGVNb3VzZWxlYXZlKGV2ZW50OiBNb3VzZUV2ZW50KSB7XG4gICAgdGhpcy5faG92ZXJJbnRlbnQuc3RvcCgpO1xuXG4gICAgaWYgKHRoaXMuX3Nob3dzT25Ib3ZlckFuZEZvY3VzKCkgJiYgIXRoaXMuX2lzSW5zaWRlUGFuZWwoZXZlbnQucmVsYXRlZFRhcmdldCBhcyBOb2RlKSkge1xuICAgICAgdGhpcy5fbmdab25lLnJ1bigoKSA9PiB0aGlzLmhpZGUoKSk7XG4gICAgfVxuICB9XG5cbiAgLyoqIEhhbmRsZXMgdGhlIHVzZXIgdG91Y2hpbmcgdGhlIHRyaWdnZXIuICovXG4gIHByaXZhdGUgX2hhbmRsZVRvdWNoc3RhcnQoZXZlbnQ6IFRvdWNoRXZlbnQpIHtcbiAgICBpZiAodGhpcy5kaXNhYmxlZCB8fCAhdGhpcy5fc2hvd3NPbkhvdmVyQW5kRm9jdXMoKSkge1xuICAgICAgcmV0dXJuO1xuICAgIH1cblxuICAgIGNvbnN0IHRvdWNoID0gZXZlbnQudG91Y2hlc1swXTtcbiAgICB0aGlzLl90b3VjaFN0YXJ0UG9zaXRpb24gPSB0b3VjaCA/IHt4OiB0b3VjaC5jbGllbnRYLCB5OiB0b3VjaC5jbGllbnRZfSA6IG51bGw7XG4gICAgdGhpcy5fY2xlYXJMb25nUHJlc3NUaW1lb3V0KCk7XG4gICAgdGhpcy5fbG9uZ1ByZXNzVGltZW91dElkID0gc2V0VGltZW91dCgoKSA9PiB7XG4gICAgICB0aGlzLl9sb25nUHJlc3NUaW1lb3V0SWQgPSBudWxsO1xuICAgICAgdGhpcy5fbmdab25lLnJ1bigoKSA9PiB0aGlzLnNob3coMCkpO1xuICAgIH0sIHRoaXMuX2RlZmF1bHRPcHRpb25zLnRvdWNoTG9uZ1ByZXNzU2hvd0RlbGF5KTtcbiAgfVxuXG4gIC8qKiBDYW5jZWxzIHRoZSBsb25nIHByZXNzIGlmIHRoZSB1c2VyIHN0YXJ0cyBzY3JvbGxpbmcuICovXG4gIHByaXZhdGUgX2hhbmRsZVRvdWNobW92ZShldmVudDogVG91Y2hFdmVudCkge1xuICAgIGNvbnN0IHN0YXJ0ID0gdGhpcy5fdG91Y2hTdGFydFBvc2l0aW9uO1xuICAgIGNvbnN0IHRvdWNoID0gZXZlbnQudG91Y2hlc1swXTtcblxuICAgIGlmIChzdGFydCAmJiB0b3VjaCAmJiBNYXRoLmFicyh0b3VjaC5jbGllbnRYIC0gc3RhcnQueCkgK1xuICAgICAgICBNYXRoLmFicyh0b3VjaC5jbGllbnRZIC0gc3RhcnQueSkgPiBMT05HX1BSRVNTX01PVkVfVEhSRVNIT0xEKSB7XG4gICAgICB0aGlzLl9jbGVhckxvbmdQcmVzc1RpbWVvdXQoKTtcbiAgICB9XG4gIH1cblxuICAvKiogSGFuZGxlcyB0aGUgdXNlciBsaWZ0aW5nIHRoZWlyIGZpbmdlciBmcm9tIHRoZSB0cmlnZ2VyLiAqL1xuICBwcml2YXRlIF9oYW5kbGVUb3VjaGVuZCgpIHtcbiAgICB0aGlzLl90b3VjaFN0YXJ0UG9zaXRpb24gPSBudWxsO1xuICAgIHRoaXMuX2NsZWFyTG9uZ1ByZXNzVGltZW91dCgpO1xuXG4gICAgaWYgKHRoaXMuaXNTaG93bigpKSB7XG4gICAgICB0aGlzLl9uZ1pvbmUucnVuKCgpID0+IHRoaXMuaGlkZSh0aGlzLl9kZWZhdWx0T3B0aW9ucy50b3VjaGVuZEhpZGVEZWxheSkpO1xuICAgIH1cbiAgfVxuXG4gIC8qKlxuICAgKiBIaWRlcyB0aGUgcGFuZWwgb25jZSBmb2N1cyBoYXMgbGVmdCBib3RoIHRoZSB0cmlnZ2VyIGFuZCB0aGUgcGFuZWwuIFdhaXRzIGZvciBmb2N1cyB0byBsYW5kXG4gICAqIG9uIGl0cyBuZXcgdGFyZ2V0IGZpcnN0LCBiZWNhdXNlIGl0IG1heSBiZSBtb3ZpbmcgYmV0d2VlbiB0aGUgdHJpZ2dlciBhbmQgdGhlIHBhbmVsLlxuICAgKi9cbiAgcHJpdmF0ZSBfaGlkZUlmRm9jdXNMZWZ0KCkge1xuICAgIFByb21pc2UucmVzb2x2ZSgpLnRoZW4oKCkgPT4ge1xuICAgICAgY29uc3QgYWN0aXZlRWxlbWVudCA9IHRoaXMuX2RvY3VtZW50LmFjdGl2ZUVsZW1lbnQ7XG5cbiAgICAgIGlmICghdGhpcy5fZWxlbWVudFJlZi5uYXRpdmVFbGVtZW50LmNvbnRhaW5zKGFjdGl2ZUVsZW1lbnQpICYmXG4gICAgICAgICAgIXRoaXMuX2lzSW5zaWRlUGFuZWwoYWN0aXZlRWxlbWVudCkpIHtcbiAgICAgICAgdGhpcy5fbmdab25lLnJ1bigoKSA9PiB0aGlzLmhpZGUoMCkpO1xuICAgICAgfVxuICAgIH0pO1xuICB9XG5cbiAgLyoqXG4gICAqIFByZXZlbnRzIHRoZSBicm93c2VyIGZyb20gc2VsZWN0aW5nIHRleHQgb3Igb3BlbmluZyBpdHMgY29udGV4dCBjYWxsb3V0IHdoaWxlIHRoZSB1c2VyXG4gICAqIGxvbmctcHJlc3NlcyB0aGUgdHJpZ2dlciwgYmVjYXVzZSBlaXRoZXIgb2YgdGhlbSB3b3VsZCBjb3ZlciB0aGUgcGFuZWwuXG4gICAqL1xuICBwcml2YXRlIF9kaXNhYmxlTmF0aXZlR2VzdHVyZXNJZk5lY2Vzc2FyeSgpIHtcbiAgICBjb25zdCBlbGVtZW50ID0gdGhpcy5fZWxlbWVudFJlZi5uYXRpdmVFbGVtZW50O1xuICAgIGNvbnN0IHN0eWxlID0gZWxlbWVudC5zdHlsZSBhcyBDU1NTdHlsZURlY2xhcmF0aW9uICYge1trZXk6IHN0cmluZ106IHN0cmluZ307XG5cbiAgICBpZiAoZWxlbWVudC5ub2RlTmFtZSAhPT0gJ0lOUFVUJyAmJiBlbGVtZW50Lm5vZGVOYW1lICE9PSAnVEVYVEFSRUEnKSB7XG4gICAgICBzdHlsZS51c2VyU2VsZWN0ID0gc3R5bGUubXNVc2VyU2VsZWN0ID0gc3R5bGUud2Via2l0VXNlclNlbGVjdCA9IHN0eWxlLk1velVzZXJTZWxlY3QgPSAnbm9uZSc7XG4gICAgfVxuXG4gICAgc3R5bGUud2Via2l0VG91Y2hDYWxsb3V0ID0gJ25vbmUnO1xuICB9XG5cbiAgLyoqIFdoZXRoZXIgdGhlIHBsYXRmb3JtIGZpcmVzIG1vdXNlIGV2ZW50cyBmb3IgcG9pbnRlciBpbnRlcmFjdGlvbnMuICovXG4gIHByaXZhdGUgX3BsYXRmb3JtU3VwcG9ydHNNb3VzZUV2ZW50cygpOiBib29sZWFuIHtcbiAgICByZXR1cm4gIXRoaXMuX3BsYXRmb3JtLklPUyAmJiAhdGhpcy5fcGxhdGZvcm0uQU5EUk9JRDtcbiAgfVxuXG4gIC8qKiBXaGV0aGVyIHRoZSB0cmlnZ2VyIGlzIGluIGEgcmlnaHQtdG8tbGVmdCBjb250ZXh0LiAqL1xuICBwcml2YXRlIF9pc1J0bCgpOiBib29sZWFuIHtcbiAgICByZXR1cm4gISF0aGlzLl9kaXIgJiYgdGhpcy5fZGlyLnZhbHVlID09PSAncnRsJztcbiAgfVxuXG4gIC8qKiBDYW5jZWxzIHRoZSBwZW5kaW5nIHRpbWVvdXQgd2hpY2ggc2hvd3MgdGhlIHBhbmVsLiAqL1xuICBwcml2YXRlIF9jbGVhclNob3dUaW1lb3V0KCkge1xuICAgIGlmICh0aGlzLl9zaG93VGltZW91dElkICE9PSBudWxsKSB7XG4gICAgICBjbGVhclRpbWVvdXQodGhpcy5fc2hvd1RpbWVvdXRJZCk7XG4gICAgICB0aGlzLl9zaG93VGltZW91dElkID0gbnVsbDtcbiAgICB9XG4gIH1cblxuICAvKiogQ2FuY2VscyB0aGUgcGVuZGluZyB0aW1lb3V0IHdoaWNoIGhpZGVzIHRoZSBwYW5lbC4gKi9cbiAgcHJpdmF0ZSBfY2xlYXJIaWRlVGltZW91dCgpIHtcbiAgICBpZiAodGhpcy5faGlkZVRpbWVvdXRJZCAhPT0gbnVsbCkge1xuICAgICAgY2xlYXJUaW1lb3V0KHRoaXMuX2hpZGVUaW1lb3V0SWQpO1xuICAgICAgdGhpcy5faGlkZVRpbWVvdXRJZCA9IG51bGw7XG4gICAgfVxuICB9XG5cbiAgLyoqIENhbmNlbHMgdGhlIHBlbmRpbmcgbG9uZyBwcmVzcy4gKi9cbiAgcHJpdmF0ZSBfY2xlYXJMb25nUHJlc3NUaW1lb3V0KCkge1xuICAgIGlmICh0aGlzLl9sb25nUHJlc3NUaW1lb3V0SWQgIT09IG51bGwpIHtcbiAgICAgIGNsZWFyVGltZW91dCh0aGlzLl9sb25nUHJlc3NUaW1lb3V0SWQpO1xuICAgICAgdGhpcy5fbG9uZ1ByZXNzVGltZW91dElkID0gbnVsbDtcbiAgICB9XG4gIH1cblxuICBzdGF0aWMgbmdBY2NlcHRJbnB1dFR5cGVfZGlzYWJsZWQ6IEJvb2xlYW5JbnB1dDtcbiAgc3RhdGljIG5nQWNjZXB0SW5wdXRUeXBlX3Nob3dEZWxheTogTnVtYmVySW5wdXQ7XG4gIHN0YXRpYyBuZ0FjY2VwdElucHV0VHlwZV9oaWRlRGVsYXk6IE51bWJlcklucHV0O1xufVxuIl19
\ No newline at end of file
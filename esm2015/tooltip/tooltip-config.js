@@ -0,0 +1,65 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { Overlay } from '@angular/cdk/overlay';
+import { InjectionToken } from '@angular/core';
+/** Injection token that can be used to configure the defaults of tooltips and popovers. */
+export const CDK_TOOLTIP_DEFAULT_OPTIONS = new InjectionToken('CDK_TOOLTIP_DEFAULT_OPTIONS');
+/** Options that are used when none were provided through `CDK_TOOLTIP_DEFAULT_OPTIONS`. */
+export const CDK_TOOLTIP_BASE_DEFAULT_OPTIONS = {
+    showDelay: 0,
+    hideDelay: 0,
+    touchLongPressShowDelay: 500,
+    touchendHideDelay: 1500,
+    hoverIntentSensitivity: 7,
+    hoverIntentInterval: 100,
+    position: 'below',
+};
+/** Injection token that determines the scroll handling while a tooltip or popover is shown. */
+export const CDK_TOOLTIP_SCROLL_STRATEGY = new InjectionToken('cdk-tooltip-scroll-strategy');
+/** @docs-private */
+export function CDK_TOOLTIP_SCROLL_STRATEGY_PROVIDER_FACTORY(overlay) {
+    return () => overlay.scrollStrategies.reposition({ scrollThrottle: 20 });
+}
+/** @docs-private */
+export const CDK_TOOLTIP_SCROLL_STRATEGY_PROVIDER = {
+    provide: CDK_TOOLTIP_SCROLL_STRATEGY,
+    deps: [Overlay],
+    useFactory: CDK_TOOLTIP_SCROLL_STRATEGY_PROVIDER_FACTORY,
+};
+/** Connection points of the panel for each of the direction-independent placements. */
+const CONNECTED_POSITIONS = {
+    above: { originX: 'center', originY: 'top', overlayX: 'center', overlayY: 'bottom' },
+    below: { originX: 'center', originY: 'bottom', overlayX: 'center', overlayY: 'top' },
+    before: { originX: 'start', originY: 'center', overlayX: 'end', overlayY: 'center' },
+    after: { originX: 'end', originY: 'center', overlayX: 'start', overlayY: 'center' },
+};
+/**
+ * Gets the positions in which a panel can be placed, in order of preference. The preferred
+ * placement is followed by the opposite side of the trigger and then by the two remaining sides,
+ * so that the position strategy can fall back to them if the panel doesn't fit.
+ * @param position Preferred placement of the panel.
+ * @param isRtl Whether the trigger is in a right-to-left context.
+ */
+export function getTooltipConnectedPositions(position, isRtl) {
+    let placement;
+    if (position === 'left') {
+        placement = isRtl ? 'after' : 'before';
+    }
+    else if (position === 'right') {
+        placement = isRtl ? 'before' : 'after';
+    }
+    else {
+        placement = position;
+    }
+    const order = placement === 'above' ? ['above', 'below', 'after', 'before'] :
+        placement === 'below' ? ['below', 'above', 'after', 'before'] :
+            placement === 'before' ? ['before', 'after', 'below', 'above'] :
+                ['after', 'before', 'below', 'above'];
+    return order.map(current => CONNECTED_POSITIONS[current]);
+}
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoidG9vbHRpcC1jb25maWcuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyIuLi8uLi8uLi8uLi8uLi8uLi9zcmMvY2RrL3Rvb2x0aXAvdG9vbHRpcC1jb25maWcudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUE7Ozs7OztHQU1HO0FBRUgsT0FBTyxFQUFvQixPQUFPLEVBQWlCLE1BQU0sc0JBQXNCLENBQUM7QUFDaEYsT0FBTyxFQUFDLGNBQWMsRUFBQyxNQUFNLGVBQWUsQ0FBQztBQXNDN0MsMkZBQTJGO0FBQzNGLE1BQU0sQ0FBQyxNQUFNLDJCQUEyQixHQUNwQyxJQUFJLGNBQWMsQ0FBMkIsNkJBQTZCLENBQUMsQ0FBQztBQUVoRiwyRkFBMkY7QUFDM0YsTUFBTSxDQUFDLE1BQU0sZ0NBQWdDLEdBQXVDO0lBQ2xGLFNBQVMsRUFBRSxDQUFDO0lBQ1osU0FBUyxFQUFFLENBQUM7SUFDWix1QkFBdUIsRUFBRSxHQUFHO0lBQzVCLGlCQUFpQixFQUFFLElBQUk7SUFDdkIsc0JBQXNCLEVBQUUsQ0FBQztJQUN6QixtQkFBbUIsRUFBRSxHQUFHO0lBQ3hCLFFBQVEsRUFBRSxPQUFPO0NBQ2xCLENBQUM7QUFFRiwrRkFBK0Y7QUFDL0YsTUFBTSxDQUFDLE1BQU0sMkJBQTJCLEdBQ3BDLElBQUksY0FBYyxDQUF1Qiw2QkFBNkIsQ0FBQyxDQUFDO0FBRTVFLG9CQUFvQjtBQUNwQixNQUFNLFVBQVUsNENBQTRDLENBQ3hELE9BQWdCO0lBQ2xCLE9BQU8sR0FBRyxFQUFFLENBQUMsT0FBTyxDQUFDLGdCQUFnQixDQUFDLFVBQVUsQ0FBQyxFQUFDLGNBQWMsRUFBRSxFQUFFLEVBQUMsQ0FBQyxDQUFDO0FBQ3pFLENBQUM7QUFFRCxvQkFBb0I7QUFDcEIsTUFBTSxDQUFDLE1BQU0sb0NBQW9DLEdBQUc7SUFDbEQsT0FBTyxFQUFFLDJCQUEyQjtJQUNwQyxJQUFJLEVBQUUsQ0FBQyxPQUFPLENBQUM7SUFDZixVQUFVLEVBQUUsNENBQTRDO0NBQ3pELENBQUM7QUFFRix1RkFBdUY7QUFDdkYsTUFBTSxtQkFBbUIsR0FBeUU7SUFDaEcsS0FBSyxFQUFFLEVBQUMsT0FBTyxFQUFFLFFBQVEsRUFBRSxPQUFPLEVBQUUsS0FBSyxFQUFFLFFBQVEsRUFBRSxRQUFRLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBQztJQUNsRixLQUFLLEVBQUUsRUFBQyxPQUFPLEVBQUUsUUFBUSxFQUFFLE9BQU8sRUFBRSxRQUFRLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBRSxRQUFRLEVBQUUsS0FBSyxFQUFDO0lBQ2xGLE1BQU0sRUFBRSxFQUFDLE9BQU8sRUFBRSxPQUFPLEVBQUUsT0FBTyxFQUFFLFFBQVEsRUFBRSxRQUFRLEVBQUUsS0FBSyxFQUFFLFFBQVEsRUFBRSxRQUFRLEVBQUM7SUFDbEYsS0FBSyxFQUFFLEVBQUMsT0FBTyxFQUFFLEtBQUssRUFBRSxPQUFPLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBRSxPQUFPLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBQztDQUNsRixDQUFDO0FBRUY7Ozs7OztHQU1HO0FBQ0gsTUFBTSxVQUFVLDRCQUE0QixDQUN4QyxRQUF5QixFQUFFLEtBQWM7SUFDM0MsSUFBSSxTQUFpRCxDQUFDO0lBRXRELElBQUksUUFBUSxLQUFLLE1BQU0sRUFBRTtRQUN2QixTQUFTLEdBQUcsS0FBSyxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQztLQUN4QztTQUFNLElBQUksUUFBUSxLQUFLLE9BQU8sRUFBRTtRQUMvQixTQUFTLEdBQUcsS0FBSyxDQUFDLENBQUMsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQztLQUN4QztTQUFNO1FBQ0wsU0FBUyxHQUFHLFFBQVEsQ0FBQztLQUN0QjtJQUVELE1BQU0sS0FBSyxHQUNQLFNBQVMsS0FBSyxPQUFPLENBQUMsQ0FBQyxDQUFDLENBQUMsT0FBTyxFQUFFLE9BQU8sRUFBRSxPQUFPLEVBQUUsUUFBUSxDQUFDLENBQUMsQ0FBQztRQUMvRCxTQUFTLEtBQUssT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDLE9BQU8sRUFBRSxPQUFPLEVBQUUsT0FBTyxFQUFFLFFBQVEsQ0FBQyxDQUFDLENBQUM7WUFDL0QsU0FBUyxLQUFLLFFBQVEsQ0FBQyxDQUFDLENBQUMsQ0FBQyxRQUFRLEVBQUUsT0FBTyxFQUFFLE9BQU8sRUFBRSxPQUFPLENBQUMsQ0FBQyxDQUFDO2dCQUNoRSxDQUFDLE9BQU8sRUFBRSxRQUFRLEVBQUUsT0FBTyxFQUFFLE9BQU8sQ0FBQyxDQUFDO0lBRTFDLE9BQU8sS0FBSyxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLG1CQUFtQixDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUM7QUFDNUQsQ0FBQyIsInNvdXJjZXNDb250ZW50IjpbIi8qKlxuICogQGxpY2Vuc2VcbiAqIENvcHlyaWdodCBHb29nbGUgTExDIEFsbCBSaWdodHMgUmVzZXJ2ZWQuXG4gKlxuICogVXNlIG9mIHRoaXMgc291cmNlIGNvZGUgaXMgZ292ZXJuZWQgYnkgYW4gTUlULXN0eWxlIGxpY2Vuc2UgdGhhdCBjYW4gYmVcbiAqIGZvdW5kIGluIHRoZSBMSUNFTlNFIGZpbGUgYXQgaHR0cHM6Ly9hbmd1bGFyLmlvL2xpY2Vuc2VcbiAqL1xuXG5pbXBvcnQge0Nvbm5lY3RlZFBvc2l0aW9uLCBPdmVybGF5LCBTY3JvbGxTdHJhdGVneX0gZnJvbSAnQGFuZ3VsYXIvY2RrL292ZXJsYXknO1xuaW1wb3J0IHtJbmplY3Rpb25Ub2tlbn0gZnJvbSAnQGFuZ3VsYXIvY29yZSc7XG5cbi8qKlxuICogUGxhY2VtZW50IG9mIGEgdG9vbHRpcCBvciBwb3BvdmVyIHJlbGF0aXZlIHRvIGl0cyB0cmlnZ2VyLiBgYmVmb3JlYCBhbmQgYGFmdGVyYCBkZXBlbmQgb24gdGhlXG4gKiBsYXlvdXQgZGlyZWN0aW9uLCB3aGVyZWFzIGBsZWZ0YCBhbmQgYHJpZ2h0YCBhbHdheXMgcmVmZXIgdG8gdGhlIHNhbWUgc2lkZS5cbiAqL1xuZXhwb3J0IHR5cGUgVG9vbHRpcFBvc2l0aW9uID0gJ2xlZnQnIHwgJ3JpZ2h0JyB8ICdhYm92ZScgfCAnYmVsb3cnIHwgJ2JlZm9yZScgfCAnYWZ0ZXInO1xuXG4vKiogT3B0aW9ucyB0aGF0IGNhbiBiZSB1c2VkIHRvIGNvbmZpZ3VyZSB0aGUgZGVmYXVsdCBiZWhhdmlvciBvZiB0b29sdGlwcyBhbmQgcG9wb3ZlcnMuICovXG5leHBvcnQgaW50ZXJmYWNlIENka1Rvb2x0aXBEZWZhdWx0T3B0aW9ucyB7XG4gIC8qKiBUaW1lIGluIG1pbGxpc2Vjb25kcyBiZXR3ZWVuIHRoZSB1c2VyIHBvaW50aW5nIGF0IHRoZSB0cmlnZ2VyIGFuZCB0aGUgcGFuZWwgc2hvd2luZy4gKi9cbiAgc2hvd0RlbGF5PzogbnVtYmVyO1xuXG4gIC8qKiBUaW1lIGluIG1pbGxpc2Vjb25kcyBiZXR3ZWVuIHRoZSB1c2VyIGxlYXZpbmcgdGhlIHRyaWdnZXIgYW5kIHRoZSBwYW5lbCBoaWRpbmcuICovXG4gIGhpZGVEZWxheT86IG51bWJlcjtcblxuICAvKiogVGltZSBpbiBtaWxsaXNlY29uZHMgdGhhdCB0aGUgdXNlciBoYXMgdG8gcHJlc3Mgb24gdGhlIHRyaWdnZXIgYmVmb3JlIHRoZSBwYW5lbCBzaG93cy4gKi9cbiAgdG91Y2hMb25nUHJlc3NTaG93RGVsYXk/OiBudW1iZXI7XG5cbiAgLyoqIFRpbWUgaW4gbWlsbGlzZWNvbmRzIGJldHdlZW4gdGhlIHVzZXIgbGlmdGluZyB0aGVpciBmaW5nZXIgYW5kIHRoZSBwYW5lbCBoaWRpbmcuICovXG4gIHRvdWNoZW5kSGlkZURlbGF5PzogbnVtYmVyO1xuXG4gIC8qKlxuICAgKiBEaXN0YW5jZSBpbiBwaXhlbHMgdGhhdCB0aGUgcG9pbnRlciBjYW4gdHJhdmVsIHdpdGhpbiBvbmUgYGhvdmVySW50ZW50SW50ZXJ2YWxgXG4gICAqIHdoaWxlIHN0aWxsIGJlaW5nIGNvbnNpZGVyZWQgdG8gYmUgcmVzdGluZyBvbiB0aGUgdHJpZ2dlci5cbiAgICovXG4gIGhvdmVySW50ZW50U2Vuc2l0aXZpdHk/OiBudW1iZXI7XG5cbiAgLyoqXG4gICAqIEludGVydmFsIGluIG1pbGxpc2Vjb25kcyBhdCB3aGljaCB0aGUgcG9pbnRlcidzIHNwZWVkIGlzIHNhbXBsZWQuIFNldCB0byB6ZXJvIGluIG9yZGVyXG4gICAqIHRvIHNob3cgdGhlIHBhbmVsIGFzIHNvb24gYXMgdGhlIHBvaW50ZXIgZW50ZXJzIHRoZSB0cmlnZ2VyLlxuICAgKi9cbiAgaG92ZXJJbnRlbnRJbnRlcnZhbD86IG51bWJlcjtcblxuICAvKiogRGVmYXVsdCBwbGFjZW1lbnQgb2YgdGhlIHBhbmVsIHJlbGF0aXZlIHRvIHRoZSB0cmlnZ2VyLiAqL1xuICBwb3NpdGlvbj86IFRvb2x0aXBQb3NpdGlvbjtcbn1cblxuLyoqIEluamVjdGlvbiB0b2tlbiB0aGF0IGNhbiBiZSB1c2VkIHRvIGNvbmZpZ3VyZSB0aGUgZGVmYXVsdHMgb2YgdG9vbHRpcHMgYW5kIHBvcG92ZXJzLiAqL1xuZXhwb3J0IGNvbnN0IENES19UT09MVElQX0RFRkFVTFRfT1BUSU9OUyA9XG4gICAgbmV3IEluamVjdGlvblRva2VuPENka1Rvb2x0aXBEZWZhdWx0T3B0aW9ucz4oJ0NES19UT09MVElQX0RFRkFVTFRfT1BUSU9OUycpO1xuXG4vKiogT3B0aW9ucyB0aGF0IGFyZSB1c2VkIHdoZW4gbm9uZSB3ZXJlIHByb3ZpZGVkIHRocm91Z2ggYENES19UT09MVElQX0RFRkFVTFRfT1BUSU9OU2AuICovXG5leHBvcnQgY29uc3QgQ0RLX1RPT0xUSVBfQkFTRV9ERUZBVUxUX09QVElPTlM6IFJlcXVpcmVkPENka1Rvb2x0aXBEZWZhdWx0T3B0aW9ucz4gPSB7XG4gIHNob3dEZWxheTogMCxcbiAgaGlkZURlbGF5OiAwLFxuICB0b3VjaExvbmdQcmVzc1Nob3dEZWxheTogNTAwLFxuICB0b3VjaGVuZEhpZGVEZWxheTogMTUwMCxcbiAgaG92ZXJJbnRlbnRTZW5zaXRpdml0eTogNyxcbiAgaG92ZXJJbnRlbnRJbnRlcnZhbDogMTAwLFxuICBwb3NpdGlvbjogJ2JlbG93Jyxcbn07XG5cbi8qKiBJbmplY3Rpb24gdG9rZW4gdGhhdCBkZXRlcm1pbmVzIHRoZSBzY3JvbGwgaGFuZGxpbmcgd2hpbGUgYSB0b29sdGlwIG9yIHBvcG92ZXIgaXMgc2hvd24uICovXG5leHBvcnQgY29uc3QgQ0RLX1RPT0xUSVBfU0NST0xMX1NUUkFURUdZID1cbiAgICBuZXcgSW5qZWN0aW9uVG9rZW48KCkgPT4gU2Nyb2xsU3RyYXRlZ3k+KCdjZGstdG9vbHRpcC1zY3JvbGwtc3RyYXRlZ3knKTtcblxuLyoqIEBkb2NzLXByaXZhdGUgKi9cbmV4cG9ydCBmdW5jdGlvbiBDREtfVE9PTFRJUF9TQ1JPTExfU1RSQVRFR1lfUFJPVklERVJfRkFDVE9SWShcbiAgICBvdmVybGF5OiBPdmVybGF5KTogKCkgPT4gU2Nyb2xsU3RyYXRlZ3kge1xuICByZXR1cm4gKCkgPT4gb3ZlcmxheS5zY3JvbGxTdHJhdGVnaWVzLnJlcG9zaXRpb24oe3Njcm9sbFRocm90dGxlOiAyMH0pO1xufVxuXG4vKiogQGRvY3MtcHJpdmF0ZSAqL1xuZXhwb3J0IGNvbnN0IENES19UT09MVElQX1NDUk9MTF9TVFJBVEVHWV9QUk9WSURFUiA9IHtcbiAgcHJvdmlkZTogQ0RLX1RPT0xUSVBfU0NST0xMX1NUUkFURUdZLFxuICBkZXBzOiBbT3ZlcmxheV0sXG4gIHVzZUZhY3Rvcnk6IENES19UT09MVElQX1NDUk9MTF9TVFJBVEVHWV9QUk9WSURFUl9GQUNUT1JZLFxufTtcblxuLyoqIENvbm5lY3Rpb24gcG9pbnRzIG9mIHRoZSBwYW5lbCBmb3IgZWFjaCBvZiB0aGUgZGlyZWN0aW9uLWluZGVwZW5kZW50IHBsYWNlbWVudHMuICovXG5jb25zdCBDT05ORUNURURfUE9TSVRJT05TOiB7W2tleSBpbiAnYWJvdmUnIHwgJ2JlbG93JyB8ICdiZWZvcmUnIHwgJ2FmdGVyJ106IENvbm5lY3RlZFBvc2l0aW9ufSA9IHtcbiAgYWJvdmU6IHtvcmlnaW5YOiAnY2VudGVyJywgb3JpZ2luWTogJ3RvcCcsIG92ZXJsYXlYOiAnY2VudGVyJywgb3ZlcmxheVk6ICdib3R0b20nfSxcbiAgYmVsb3c6IHtvcmlnaW5YOiAnY2VudGVyJywgb3JpZ2luWTogJ2JvdHRvbScsIG92ZXJsYXlYOiAnY2VudGVyJywgb3ZlcmxheVk6ICd0b3AnfSxcbiAgYmVmb3JlOiB7b3JpZ2luWDogJ3N0YXJ0Jywgb3JpZ2luWTogJ2NlbnRlcicsIG92ZXJsYXlYOiAnZW5kJywgb3ZlcmxheVk6ICdjZW50ZXInfSxcbiAgYWZ0ZXI6IHtvcmlnaW5YOiAnZW5kJywgb3JpZ2luWTogJ2NlbnRlcicsIG92ZXJsYXlYOiAnc3RhcnQnLCBvdmVybGF5WTogJ2NlbnRlcid9LFxufTtcblxuLyoqXG4gKiBHZXRzIHRoZSBwb3NpdGlvbnMgaW4gd2hpY2ggYSBwYW5lbCBjYW4gYmUgcGxhY2VkLCBpbiBvcmRlciBvZiBwcmVmZXJlbmNlLiBUaGUgcHJlZmVycmVkXG4gKiBwbGFjZW1lbnQgaXMgZm9sbG93ZWQgYnkgdGhlIG9wcG9zaXRlIHNpZGUgb2YgdGhlIHRyaWdnZXIgYW5kIHRoZW4gYnkgdGhlIHR3byByZW1haW5pbmcgc2lkZXMsXG4gKiBzbyB0aGF0IHRoZSBwb3NpdGlvbiBzdHJhdGVneSBjYW4gZmFsbCBiYWNrIHRvIHRoZW0gaWYgdGhlIHBhbmVsIGRvZXNuJ3QgZml0LlxuICogQHBhcmFtIHBvc2l0aW9uIFByZWZlcnJlZCBwbGFjZW1lbnQgb2YgdGhlIHBhbmVsLlxuICogQHBhcmFtIGlzUnRsIFdoZXRoZXIgdGhlIHRyaWdnZXIgaXMgaW4gYSByaWdodC10by1sZWZ0IGNvbnRleHQuXG4gKi9cbmV4cG9ydCBmdW5jdGlvbiBnZXRUb29sdGlwQ29ubmVjdGVkUG9zaXRpb25zKFxuICAgIHBvc2l0aW9uOiBUb29sdGlwUG9zaXRpb24sIGlzUnRsOiBib29sZWFuKTogQ29ubmVjdGVkUG9zaXRpb25bXSB7XG4gIGxldCBwbGFjZW1lbnQ6ICdhYm92ZScgfCAnYmVsb3cnIHwgJ2JlZm9yZScgfCAnYWZ0ZXInO1xuXG4gIGlmIChwb3NpdGlvbiA9PT0gJ2xlZnQnKSB7XG4gICAgcGxhY2VtZW50ID0gaXNSdGwgPyAnYWZ0ZXInIDogJ2JlZm9yZSc7XG4gIH0gZWxzZSBpZiAocG9zaXRpb24gPT09ICdyaWdodCcpIHtcbiAgICBwbGFjZW1lbnQgPSBpc1J0bCA/ICdiZWZvcmUnIDogJ2FmdGVyJztcbiAgfSBlbHNlIHtcbiAgICBwbGFjZW1lbnQgPSBwb3NpdGlvbjtcbiAgfVxuXG4gIGNvbnN0IG9yZGVyOiAoJ2Fib3ZlJyB8ICdiZWxvdycgfCAnYmVmb3JlJyB8ICdhZnRlcicpW10gPVxuICAgICAgcGxhY2VtZW50ID09PSAnYWJvdmUnID8gWydhYm92ZScsICdiZWxvdycsICdhZnRlcicsICdiZWZvcmUnXSA6XG4gICAgICBwbGFjZW1lbnQgPT09ICdiZWxvdycgPyBbJ2JlbG93JywgJ2Fib3ZlJywgJ2FmdGVyJywgJ2JlZm9yZSddIDpcbiAgICAgIHBsYWNlbWVudCA9PT0gJ2JlZm9yZScgPyBbJ2JlZm9yZScsICdhZnRlcicsICdiZWxvdycsICdhYm92ZSddIDpcbiAgICAgIFsnYWZ0ZXInLCAnYmVmb3JlJywgJ2JlbG93JywgJ2Fib3ZlJ107XG5cbiAgcmV0dXJuIG9yZGVyLm1hcChjdXJyZW50ID0+IENPTk5FQ1RFRF9QT1NJVElPTlNbY3VycmVudF0pO1xufVxuIl19
\ No newline at end of file
@@ -0,0 +1,42 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { ChangeDetectionStrategy, ChangeDetectorRef, Component, ViewEncapsulation, } from '@angular/core';
+/**
+ * Unstyled component that renders the message of a `CdkTooltip` inside of its overlay.
+ * The message is hidden from assistive technology, because it is already announced
+ * through the `aria-describedby` attribute of the trigger.
+ * @docs-private
+ */
+export class CdkTooltipContainer {
+    constructor(_changeDetectorRef) {
+        this._changeDetectorRef = _changeDetectorRef;
+        /** Message that is shown in the tooltip. */
+        this.message = '';
+    }
+    /** Updates the message that is shown in the tooltip. */
+    _setMessage(message) {
+        this.message = message;
+        this._changeDetectorRef.markForCheck();
+    }
+}
+CdkTooltipContainer.decorators = [
+    { type: Component, args: [{
+                selector: 'cdk-tooltip',
+                template: '{{message}}',
+                encapsulation: ViewEncapsulation.None,
+                changeDetection: ChangeDetectionStrategy.OnPush,
+                host: {
+                    'class': 'cdk-tooltip',
+                    'aria-hidden': 'true',
+                }
+            },] }
+];
+CdkTooltipContainer.ctorParameters = () => [
+    { type: ChangeDetectorRef }
+];
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoidG9vbHRpcC1jb250YWluZXIuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyIuLi8uLi8uLi8uLi8uLi8uLi9zcmMvY2RrL3Rvb2x0aXAvdG9vbHRpcC1jb250YWluZXIudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUE7Ozs7OztHQU1HO0FBRUgsT0FBTyxFQUNMLHVCQUF1QixFQUN2QixpQkFBaUIsRUFDakIsU0FBUyxFQUNULGlCQUFpQixHQUNsQixNQUFNLGVBQWUsQ0FBQztBQUV2Qjs7Ozs7R0FLRztBQVdILE1BQU0sT0FBTyxtQkFBbUI7SUFJOUIsWUFBNkIsa0JBQXFDO1FBQXJDLHVCQUFrQixHQUFsQixrQkFBa0IsQ0FBbUI7UUFIbEUsNENBQTRDO1FBQzVDLFlBQU8sR0FBVyxFQUFFLENBQUM7SUFFZ0QsQ0FBQztJQUV0RSx3REFBd0Q7SUFDeEQsV0FBVyxDQUFDLE9BQWU7UUFDekIsSUFBSSxDQUFDLE9BQU8sR0FBRyxPQUFPLENBQUM7UUFDdkIsSUFBSSxDQUFDLGtCQUFrQixDQUFDLFlBQVksRUFBRSxDQUFDO0lBQ3pDLENBQUM7OztZQXBCRixTQUFTLFNBQUM7Z0JBQ1QsUUFBUSxFQUFFLGFBQWE7Z0JBQ3ZCLFFBQVEsRUFBRSxhQUFhO2dCQUN2QixhQUFhLEVBQUUsaUJBQWlCLENBQUMsSUFBSTtnQkFDckMsZUFBZSxFQUFFLHVCQUF1QixDQUFDLE1BQU07Z0JBQy9DLElBQUksRUFBRTtvQkFDSixPQUFPLEVBQUUsYUFBYTtvQkFDdEIsYUFBYSxFQUFFLE1BQU07aUJBQ3RCO2FBQ0Y7OztZQXBCQyxpQkFBaUIiLCJzb3VyY2VzQ29udGVudCI6WyIvKipcbiAqIEBsaWNlbnNlXG4gKiBDb3B5cmlnaHQgR29vZ2xlIExMQyBBbGwgUmlnaHRzIFJlc2VydmVkLlxuICpcbiAqIFVzZSBvZiB0aGlzIHNvdXJjZSBjb2RlIGlzIGdvdmVybmVkIGJ5IGFuIE1JVC1zdHlsZSBsaWNlbnNlIHRoYXQgY2FuIGJlXG4gKiBmb3VuZCBpbiB0aGUgTElDRU5TRSBmaWxlIGF0IGh0dHBzOi8vYW5ndWxhci5pby9saWNlbnNlXG4gKi9cblxuaW1wb3J0IHtcbiAgQ2hhbmdlRGV0ZWN0aW9uU3RyYXRlZ3ksXG4gIENoYW5nZURldGVjdG9yUmVmLFxuICBDb21wb25lbnQsXG4gIFZpZXdFbmNhcHN1bGF0aW9uLFxufSBmcm9tICdAYW5ndWxhci9jb3JlJztcblxuLyoqXG4gKiBVbnN0eWxlZCBjb21wb25lbnQgdGhhdCByZW5kZXJzIHRoZSBtZXNzYWdlIG9mIGEgYENka1Rvb2x0aXBgIGluc2lkZSBvZiBpdHMgb3ZlcmxheS5cbiAqIFRoZSBtZXNzYWdlIGlzIGhpZGRlbiBmcm9tIGFzc2lzdGl2ZSB0ZWNobm9sb2d5LCBiZWNhdXNlIGl0IGlzIGFscmVhZHkgYW5ub3VuY2VkXG4gKiB0aHJvdWdoIHRoZSBgYXJpYS1kZXNjcmliZWRieWAgYXR0cmlidXRlIG9mIHRoZSB0cmlnZ2VyLlxuICogQGRvY3MtcHJpdmF0ZVxuICovXG5AQ29tcG9uZW50KHtcbiAgc2VsZWN0b3I6ICdjZGstdG9vbHRpcCcsXG4gIHRlbXBsYXRlOiAne3ttZXNzYWdlfX0nLFxuICBlbmNhcHN1bGF0aW9uOiBWaWV3RW5jYXBzdWxhdGlvbi5Ob25lLFxuICBjaGFuZ2VEZXRlY3Rpb246IENoYW5nZURldGVjdGlvblN0cmF0ZWd5Lk9uUHVzaCxcbiAgaG9zdDoge1xuICAgICdjbGFzcyc6ICdjZGstdG9vbHRpcCcsXG4gICAgJ2FyaWEtaGlkZGVuJzogJ3RydWUnLFxuICB9LFxufSlcbmV4cG9ydCBjbGFzcyBDZGtUb29sdGlwQ29udGFpbmVyIHtcbiAgLyoqIE1lc3NhZ2UgdGhhdCBpcyBzaG93biBpbiB0aGUgdG9vbHRpcC4gKi9cbiAgbWVzc2FnZTogc3RyaW5nID0gJyc7XG5cbiAgY29uc3RydWN0b3IocHJpdmF0ZSByZWFkb25seSBfY2hhbmdlRGV0ZWN0b3JSZWY6IENoYW5nZURldGVjdG9yUmVmKSB7fVxuXG4gIC8qKiBVcGRhdGVzIHRoZSBtZXNzYWdlIHRoYXQgaXMgc2hvd24gaW4gdGhlIHRvb2x0aXAuICovXG4gIF9zZXRNZXNzYWdlKG1lc3NhZ2U6IHN0cmluZykge1xuICAgIHRoaXMubWVzc2FnZSA9IG1lc3NhZ2U7XG4gICAgdGhpcy5fY2hhbmdlRGV0ZWN0b3JSZWYubWFya0ZvckNoZWNrKCk7XG4gIH1cbn1cbiJdfQ==
\ No newline at end of file
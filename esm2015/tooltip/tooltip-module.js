@@ -0,0 +1,30 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { A11yModule } from '@angular/cdk/a11y';
+import { OverlayModule } from '@angular/cdk/overlay';
+import { NgModule } from '@angular/core';
+import { CdkPopover } from './popover';
+import { CdkTooltip } from './tooltip';
+import { CDK_TOOLTIP_SCROLL_STRATEGY_PROVIDER } from './tooltip-config';
+import { CdkTooltipContainer } from './tooltip-container';
+const EXPORTED_DECLARATIONS = [
+    CdkTooltip,
+    CdkPopover,
+];
+export class CdkTooltipModule {
+}
+CdkTooltipModule.decorators = [
+    { type: NgModule, args: [{
+                imports: [OverlayModule, A11yModule],
+                exports: EXPORTED_DECLARATIONS,
+                declarations: [...EXPORTED_DECLARATIONS, CdkTooltipContainer],
+                providers: [CDK_TOOLTIP_SCROLL_STRATEGY_PROVIDER],
+                entryComponents: [CdkTooltipContainer],
+            },] }
+];
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoidG9vbHRpcC1tb2R1bGUuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyIuLi8uLi8uLi8uLi8uLi8uLi9zcmMvY2RrL3Rvb2x0aXAvdG9vbHRpcC1tb2R1bGUudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUE7Ozs7OztHQU1HO0FBRUgsT0FBTyxFQUFDLFVBQVUsRUFBQyxNQUFNLG1CQUFtQixDQUFDO0FBQzdDLE9BQU8sRUFBQyxhQUFhLEVBQUMsTUFBTSxzQkFBc0IsQ0FBQztBQUNuRCxPQUFPLEVBQUMsUUFBUSxFQUFDLE1BQU0sZUFBZSxDQUFDO0FBQ3ZDLE9BQU8sRUFBQyxVQUFVLEVBQUMsTUFBTSxXQUFXLENBQUM7QUFDckMsT0FBTyxFQUFDLFVBQVUsRUFBQyxNQUFNLFdBQVcsQ0FBQztBQUNyQyxPQUFPLEVBQUMsb0NBQW9DLEVBQUMsTUFBTSxrQkFBa0IsQ0FBQztBQUN0RSxPQUFPLEVBQUMsbUJBQW1CLEVBQUMsTUFBTSxxQkFBcUIsQ0FBQztBQUV4RCxNQUFNLHFCQUFxQixHQUFHO0lBQzVCLFVBQVU7SUFDVixVQUFVO0NBQ1gsQ0FBQztBQVNGLE1BQU0sT0FBTyxnQkFBZ0I7OztZQVA1QixRQUFRLFNBQUM7Z0JBQ1IsT0FBTyxFQUFFLENBQUMsYUFBYSxFQUFFLFVBQVUsQ0FBQztnQkFDcEMsT0FBTyxFQUFFLHFCQUFxQjtnQkFDOUIsWUFBWSxFQUFFLENBQUMsR0FBRyxxQkFBcUIsRUFBRSxtQkFBbUIsQ0FBQztnQkFDN0QsU0FBUyxFQUFFLENBQUMsb0NBQW9DLENBQUM7Z0JBQ2pELGVBQWUsRUFBRSxDQUFDLG1CQUFtQixDQUFDO2FBQ3ZDIiwic291cmNlc0NvbnRlbnQiOlsiLyoqXG4gKiBAbGljZW5zZVxuICogQ29weXJpZ2h0IEdvb2dsZSBMTEMgQWxsIFJpZ2h0cyBSZXNlcnZlZC5cbiAqXG4gKiBVc2Ugb2YgdGhpcyBzb3VyY2UgY29kZSBpcyBnb3Zlcm5lZCBieSBhbiBNSVQtc3R5bGUgbGljZW5zZSB0aGF0IGNhbiBiZVxuICogZm91bmQgaW4gdGhlIExJQ0VOU0UgZmlsZSBhdCBodHRwczovL2FuZ3VsYXIuaW8vbGljZW5zZVxuICovXG5cbmltcG9ydCB7QTExeU1vZHVsZX0gZnJvbSAnQGFuZ3VsYXIvY2RrL2ExMXknO1xuaW1wb3J0IHtPdmVybGF5TW9kdWxlfSBmcm9tICdAYW5ndWxhci9jZGsvb3ZlcmxheSc7XG5pbXBvcnQge05nTW9kdWxlfSBmcm9tICdAYW5ndWxhci9jb3JlJztcbmltcG9ydCB7Q2RrUG9wb3Zlcn0gZnJvbSAnLi9wb3BvdmVyJztcbmltcG9ydCB7Q2RrVG9vbHRpcH0gZnJvbSAnLi90b29sdGlwJztcbmltcG9ydCB7Q0RLX1RPT0xUSVBfU0NST0xMX1NUUkFURUdZX1BST1ZJREVSfSBmcm9tICcuL3Rvb2x0aXAtY29uZmlnJztcbmltcG9ydCB7Q2RrVG9vbHRpcENvbnRhaW5lcn0gZnJvbSAnLi90b29sdGlwLWNvbnRhaW5lcic7XG5cbmNvbnN0IEVYUE9SVEVEX0RFQ0xBUkFUSU9OUyA9IFtcbiAgQ2RrVG9vbHRpcCxcbiAgQ2RrUG9wb3Zlcixcbl07XG5cbkBOZ01vZHVsZSh7XG4gIGltcG9ydHM6IFtPdmVybGF5TW9kdWxlLCBBMTF5TW9kdWxlXSxcbiAgZXhwb3J0czogRVhQT1JURURfREVDTEFSQVRJT05TLFxuICBkZWNsYXJhdGlvbnM6IFsuLi5FWFBPUlRFRF9ERUNMQVJBVElPTlMsIENka1Rvb2x0aXBDb250YWluZXJdLFxuICBwcm92aWRlcnM6IFtDREtfVE9PTFRJUF9TQ1JPTExfU1RSQVRFR1lfUFJPVklERVJdLFxuICBlbnRyeUNvbXBvbmVudHM6IFtDZGtUb29sdGlwQ29udGFpbmVyXSxcbn0pXG5leHBvcnQgY2xhc3MgQ2RrVG9vbHRpcE1vZHVsZSB7fVxuIl19
\ No newline at end of file
@@ -0,0 +1,125 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { AriaDescriber, FocusMonitor } from '@angular/cdk/a11y';
+import { Directionality } from '@angular/cdk/bidi';
+import { Overlay, ScrollDispatcher } from '@angular/cdk/overlay';
+import { Platform } from '@angular/cdk/platform';
+import { ComponentPortal } from '@angular/cdk/portal';
+import { DOCUMENT } from '@angular/common';
+import { Directive, ElementRef, Inject, Input, NgZone, Optional, ViewContainerRef, } from '@angular/core';
+import { take } from 'rxjs/operators';
+import { CdkTooltipBase } from './tooltip-base';
+import { CDK_TOOLTIP_DEFAULT_OPTIONS, CDK_TOOLTIP_SCROLL_STRATEGY, } from './tooltip-config';
+import { CdkTooltipContainer } from './tooltip-container';
+/**
+ * Directive that shows a short text message in an overlay when the user hovers over the host
+ * element, focuses it using the keyboard or long-presses it on a touch device. The message is
+ * also added to the `aria-describedby` attribute of the host element through the
+ * `AriaDescriber`, so that it is announced by assistive technology.
+ */
+export class CdkTooltip extends CdkTooltipBase {
+    constructor(overlay, elementRef, ngZone, scrollDispatcher, platform, focusMonitor, _viewContainerRef, _ariaDescriber, scrollStrategy, document, dir, defaultOptions) {
+        super(overlay, elementRef, ngZone, scrollDispatcher, platform, focusMonitor, scrollStrategy, document, dir, defaultOptions);
+        this._viewContainerRef = _viewContainerRef;
+        this._ariaDescriber = _ariaDescriber;
+        this._message = '';
+        this._classPrefix = 'cdk-tooltip';
+        /** Component that renders the message, if the tooltip is shown. */
+        this._container = null;
+        /** Portal used to render the message. */
+        this._portal = null;
+    }
+    /** Message that is shown in the tooltip. */
+    get message() { return this._message; }
+    set message(value) {
+        const element = this._elementRef.nativeElement;
+        const message = value != null ? `${value}`.trim() : '';
+        this._ariaDescriber.removeDescription(element, this._message, 'tooltip');
+        this._message = message;
+        if (!message && this.isShown()) {
+            this.hide(0);
+        }
+        else {
+            this._updateMessage();
+            // Wait a tick before describing the trigger, because the message may be bound
+            // to a value that changes multiple times while the view is being initialized.
+            this._ngZone.runOutsideAngular(() => {
+                Promise.resolve().then(() => {
+                    if (message === this._message && !this._destroyed.isStopped) {
+                        this._ariaDescriber.describe(element, message, 'tooltip');
+                    }
+                });
+            });
+        }
+    }
+    ngOnDestroy() {
+        const element = this._elementRef.nativeElement;
+        super.ngOnDestroy();
+        this._ariaDescriber.removeDescription(element, this._message, 'tooltip');
+    }
+    _hasContent() {
+        return !!this._message;
+    }
+    _showsOnHoverAndFocus() {
+        return true;
+    }
+    _attachContent(overlayRef) {
+        if (!this._portal) {
+            this._portal = new ComponentPortal(CdkTooltipContainer, this._viewContainerRef);
+        }
+        this._container = overlayRef.attach(this._portal).instance;
+        this._updateMessage();
+    }
+    _onDetached() {
+        this._container = null;
+    }
+    /** Updates the message inside of the tooltip, if it is shown. */
+    _updateMessage() {
+        if (this._container) {
+            this._container._setMessage(this._message);
+            // The size of the tooltip changes along with its message.
+            this._ngZone.onMicrotaskEmpty.asObservable().pipe(take(1)).subscribe(() => {
+                this.updatePosition();
+            });
+        }
+    }
+}
+CdkTooltip.decorators = [
+    { type: Directive, args: [{
+                selector: '[cdkTooltip]',
+                exportAs: 'cdkTooltip',
+                inputs: [
+                    'position: cdkTooltipPosition',
+                    'disabled: cdkTooltipDisabled',
+                    'showDelay: cdkTooltipShowDelay',
+                    'hideDelay: cdkTooltipHideDelay',
+                    'panelClass: cdkTooltipPanelClass',
+                ],
+                host: {
+                    'class': 'cdk-tooltip-trigger',
+                },
+            },] }
+];
+CdkTooltip.ctorParameters = () => [
+    { type: Overlay },
+    { type: ElementRef },
+    { type: NgZone },
+    { type: ScrollDispatcher },
+    { type: Platform },
+    { type: FocusMonitor },
+    { type: ViewContainerRef },
+    { type: AriaDescriber },
+    { type: undefined, decorators: [{ type: Inject, args: [CDK_TOOLTIP_SCROLL_STRATEGY,] }] },
+    { type: undefined, decorators: [{ type: Inject, args: [DOCUMENT,] }] },
+    { type: Directionality, decorators: [{ type: Optional }] },
+    { type: undefined, decorators: [{ type: Optional }, { type: Inject, args: [CDK_TOOLTIP_DEFAULT_OPTIONS,] }] }
+];
+CdkTooltip.propDecorators = {
+    message: [{ type: Input, args: ['cdkTooltip',] }]
+};
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoidG9vbHRpcC5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbIi4uLy4uLy4uLy4uLy4uLy4uL3NyYy9jZGsvdG9vbHRpcC90b29sdGlwLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBOzs7Ozs7R0FNRztBQUVILE9BQU8sRUFBQyxhQUFhLEVBQUUsWUFBWSxFQUFDLE1BQU0sbUJBQW1CLENBQUM7QUFDOUQsT0FBTyxFQUFDLGNBQWMsRUFBQyxNQUFNLG1CQUFtQixDQUFDO0FBQ2pELE9BQU8sRUFBQyxPQUFPLEVBQWMsZ0JBQWdCLEVBQUMsTUFBTSxzQkFBc0IsQ0FBQztBQUMzRSxPQUFPLEVBQUMsUUFBUSxFQUFDLE1BQU0sdUJBQXVCLENBQUM7QUFDL0MsT0FBTyxFQUFDLGVBQWUsRUFBQyxNQUFNLHFCQUFxQixDQUFDO0FBQ3BELE9BQU8sRUFBQyxRQUFRLEVBQUMsTUFBTSxpQkFBaUIsQ0FBQztBQUN6QyxPQUFPLEVBQ0wsU0FBUyxFQUNULFVBQVUsRUFDVixNQUFNLEVBQ04sS0FBSyxFQUNMLE1BQU0sRUFFTixRQUFRLEVBQ1IsZ0JBQWdCLEdBQ2pCLE1BQU0sZUFBZSxDQUFDO0FBQ3ZCLE9BQU8sRUFBQyxJQUFJLEVBQUMsTUFBTSxnQkFBZ0IsQ0FBQztBQUNwQyxPQUFPLEVBQUMsY0FBYyxFQUFDLE1BQU0sZ0JBQWdCLENBQUM7QUFDOUMsT0FBTyxFQUNMLDJCQUEyQixFQUMzQiwyQkFBMkIsR0FFNUIsTUFBTSxrQkFBa0IsQ0FBQztBQUMxQixPQUFPLEVBQUMsbUJBQW1CLEVBQUMsTUFBTSxxQkFBcUIsQ0FBQztBQUV4RDs7Ozs7R0FLRztBQWVILE1BQU0sT0FBTyxVQUFXLFNBQVEsY0FBYztJQXFDNUMsWUFDRSxPQUFnQixFQUNoQixVQUFtQyxFQUNuQyxNQUFjLEVBQ2QsZ0JBQWtDLEVBQ2xDLFFBQWtCLEVBQ2xCLFlBQTBCLEVBQ1QsaUJBQW1DLEVBQ25DLGNBQTZCLEVBQ1QsY0FBbUIsRUFDdEMsUUFBYSxFQUNuQixHQUFvQixFQUNpQixjQUF5QztRQUMxRixLQUFLLENBQUMsT0FBTyxFQUFFLFVBQVUsRUFBRSxNQUFNLEVBQUUsZ0JBQWdCLEVBQUUsUUFBUSxFQUFFLFlBQVksRUFDckUsY0FBYyxFQUFFLFFBQVEsRUFBRSxHQUFHLEVBQUUsY0FBYyxDQUFDLENBQUM7UUFQcEMsc0JBQWlCLEdBQWpCLGlCQUFpQixDQUFrQjtRQUNuQyxtQkFBYyxHQUFkLGNBQWMsQ0FBZTtRQWxCeEMsYUFBUSxHQUFHLEVBQUUsQ0FBQztRQUVILGlCQUFZLEdBQUcsYUFBYSxDQUFDO1FBRWhELG1FQUFtRTtRQUMzRCxlQUFVLEdBQStCLElBQUksQ0FBQztRQUV0RCx5Q0FBeUM7UUFDakMsWUFBTyxHQUFnRCxJQUFJLENBQUM7SUFpQnBFLENBQUM7SUFuREQsNENBQTRDO0lBQzVDLElBQ0ksT0FBTyxLQUFhLE9BQU8sSUFBSSxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUM7SUFDL0MsSUFBSSxPQUFPLENBQUMsS0FBYTtRQUN2QixNQUFNLE9BQU8sR0FBRyxJQUFJLENBQUMsV0FBVyxDQUFDLGFBQWEsQ0FBQztRQUMvQyxNQUFNLE9BQU8sR0FBRyxLQUFLLElBQUksSUFBSSxDQUFDLENBQUMsQ0FBQyxHQUFHLEtBQUssRUFBRSxDQUFDLElBQUksRUFBRSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUM7UUFFdkQsSUFBSSxDQUFDLGNBQWMsQ0FBQyxpQkFBaUIsQ0FBQyxPQUFPLEVBQUUsSUFBSSxDQUFDLFFBQVEsRUFBRSxTQUFTLENBQUMsQ0FBQztRQUN6RSxJQUFJLENBQUMsUUFBUSxHQUFHLE9BQU8sQ0FBQztRQUV4QixJQUFJLENBQUMsT0FBTyxJQUFJLElBQUksQ0FBQyxPQUFPLEVBQUUsRUFBRTtZQUM5QixJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDO1NBQ2Q7YUFBTTtZQUNMLElBQUksQ0FBQyxjQUFjLEVBQUUsQ0FBQztZQUV0Qiw4RUFBOEU7WUFDOUUsOEVBQThFO1lBQzlFLElBQUksQ0FBQyxPQUFPLENBQUMsaUJBQWlCLENBQUMsR0FBRyxFQUFFO2dCQUNsQyxPQUFPLENBQUMsT0FBTyxFQUFFLENBQUMsSUFBSSxDQUFDLEdBQUcsRUFBRTtvQkFDMUIsSUFBSSxPQUFPLEtBQUssSUFBSSxDQUFDLFFBQVEsSUFBSSxDQUFDLElBQUksQ0FBQyxVQUFVLENBQUMsU0FBUyxFQUFFO3dCQUMzRCxJQUFJLENBQUMsY0FBYyxDQUFDLFFBQVEsQ0FBQyxPQUFPLEVBQUUsT0FBTyxFQUFFLFNBQVMsQ0FBQyxDQUFDO3FCQUMzRDtnQkFDSCxDQUFDLENBQUMsQ0FBQztZQUNMLENBQUMsQ0FBQyxDQUFDO1NBQ0o7SUFDSCxDQUFDO0lBNEJELFdBQVc7UUFDVCxNQUFNLE9BQU8sR0FBRyxJQUFJLENBQUMsV0FBVyxDQUFDLGFBQWEsQ0FBQztRQUMvQyxLQUFLLENBQUMsV0FBVyxFQUFFLENBQUM7UUFDcEIsSUFBSSxDQUFDLGNBQWMsQ0FBQyxpQkFBaUIsQ0FBQyxPQUFPLEVBQUUsSUFBSSxDQUFDLFFBQVEsRUFBRSxTQUFTLENBQUMsQ0FBQztJQUMzRSxDQUFDO0lBRVMsV0FBVztRQUNuQixPQUFPLENBQUMsQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDO0lBQ3pCLENBQUM7SUFFUyxxQkFBcUI7UUFDN0IsT0FBTyxJQUFJLENBQUM7SUFDZCxDQUFDO0lBRVMsY0FBYyxDQUFDLFVBQXNCO1FBQzdDLElBQUksQ0FBQyxJQUFJLENBQUMsT0FBTyxFQUFFO1lBQ2pCLElBQUksQ0FBQyxPQUFPLEdBQUcsSUFBSSxlQUFlLENBQUMsbUJBQW1CLEVBQUUsSUFBSSxDQUFDLGlCQUFpQixDQUFDLENBQUM7U0FDakY7UUFFRCxJQUFJLENBQUMsVUFBVSxHQUFHLFVBQVUsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxDQUFDLFFBQVEsQ0FBQztRQUMzRCxJQUFJLENBQUMsY0FBYyxFQUFFLENBQUM7SUFDeEIsQ0FBQztJQUVTLFdBQVc7UUFDbkIsSUFBSSxDQUFDLFVBQVUsR0FBRyxJQUFJLENBQUM7SUFDekIsQ0FBQztJQUVELGlFQUFpRTtJQUN6RCxjQUFjO1FBQ3BCLElBQUksSUFBSSxDQUFDLFVBQVUsRUFBRTtZQUNuQixJQUFJLENBQUMsVUFBVSxDQUFDLFdBQVcsQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLENBQUM7WUFFM0MsMERBQTBEO1lBQzFELElBQUksQ0FBQyxPQUFPLENBQUMsZ0JBQWdCLENBQUMsWUFBWSxFQUFFLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxHQUFHLEVBQUU7Z0JBQ3hFLElBQUksQ0FBQyxjQUFjLEVBQUUsQ0FBQztZQUN4QixDQUFDLENBQUMsQ0FBQztTQUNKO0lBQ0gsQ0FBQzs7O1lBekdGLFNBQVMsU0FBQztnQkFDVCxRQUFRLEVBQUUsY0FBYztnQkFDeEIsUUFBUSxFQUFFLFlBQVk7Z0JBQ3RCLE1BQU0sRUFBRTtvQkFDTiw4QkFBOEI7b0JBQzlCLDhCQUE4QjtvQkFDOUIsZ0NBQWdDO29CQUNoQyxnQ0FBZ0M7b0JBQ2hDLGtDQUFrQztpQkFDbkM7Z0JBQ0QsSUFBSSxFQUFFO29CQUNKLE9BQU8sRUFBRSxxQkFBcUI7aUJBQy9CO2FBQ0Y7OztZQTFDTyxPQUFPO1lBTWIsVUFBVTtZQUdWLE1BQU07WUFUcUIsZ0JBQWdCO1lBQ3JDLFFBQVE7WUFITyxZQUFZO1lBY2pDLGdCQUFnQjtZQWRWLGFBQWE7NENBMkZoQixNQUFNLFNBQUMsMkJBQTJCOzRDQUNsQyxNQUFNLFNBQUMsUUFBUTtZQTNGWixjQUFjLHVCQTRGakIsUUFBUTs0Q0FDUixRQUFRLFlBQUksTUFBTSxTQUFDLDJCQUEyQjs7O3NCQS9DaEQsS0FBSyxTQUFDLFlBQVkiLCJzb3VyY2VzQ29udGVudCI6WyIvKipcbiAqIEBsaWNlbnNlXG4gKiBDb3B5cmlnaHQgR29vZ2xlIExMQyBBbGwgUmlnaHRzIFJlc2VydmVkLlxuICpcbiAqIFVzZSBvZiB0aGlzIHNvdXJjZSBjb2RlIGlzIGdvdmVybmVkIGJ5IGFuIE1JVC1zdHlsZSBsaWNlbnNlIHRoYXQgY2FuIGJlXG4gKiBmb3VuZCBpbiB0aGUgTElDRU5TRSBmaWxlIGF0IGh0dHBzOi8vYW5ndWxhci5pby9saWNlbnNlXG4gKi9cblxuaW1wb3J0IHtBcmlhRGVzY3JpYmVyLCBGb2N1c01vbml0b3J9IGZyb20gJ0Bhbmd1bGFyL2Nkay9hMTF5JztcbmltcG9ydCB7RGlyZWN0aW9uYWxpdHl9IGZyb20gJ0Bhbmd1bGFyL2Nkay9iaWRpJztcbmltcG9ydCB7T3ZlcmxheSwgT3ZlcmxheVJlZiwgU2Nyb2xsRGlzcGF0Y2hlcn0gZnJvbSAnQGFuZ3VsYXIvY2RrL292ZXJsYXknO1xuaW1wb3J0IHtQbGF0Zm9ybX0gZnJvbSAnQGFuZ3VsYXIvY2RrL3BsYXRmb3JtJztcbmltcG9ydCB7Q29tcG9uZW50UG9ydGFsfSBmcm9tICdAYW5ndWxhci9jZGsvcG9ydGFsJztcbmltcG9ydCB7RE9DVU1FTlR9IGZyb20gJ0Bhbmd1bGFyL2NvbW1vbic7XG5pbXBvcnQge1xuICBEaXJlY3RpdmUsXG4gIEVsZW1lbnRSZWYsXG4gIEluamVjdCxcbiAgSW5wdXQsXG4gIE5nWm9uZSxcbiAgT25EZXN0cm95LFxuICBPcHRpb25hbCxcbiAgVmlld0NvbnRhaW5lclJlZixcbn0gZnJvbSAnQGFuZ3VsYXIvY29yZSc7XG5pbXBvcnQge3Rha2V9IGZyb20gJ3J4anMvb3BlcmF0b3JzJztcbmltcG9ydCB7Q2RrVG9vbHRpcEJhc2V9IGZyb20gJy4vdG9vbHRpcC1iYXNlJztcbmltcG9ydCB7XG4gIENES19UT09MVElQX0RFRkFVTFRfT1BUSU9OUyxcbiAgQ0RLX1RPT0xUSVBfU0NST0xMX1NUUkFURUdZLFxuICBDZGtUb29sdGlwRGVmYXVsdE9wdGlvbnMsXG59IGZyb20gJy4vdG9vbHRpcC1jb25maWcnO1xuaW1wb3J0IHtDZGtUb29sdGlwQ29udGFpbmVyfSBmcm9tICcuL3Rvb2x0aXAtY29udGFpbmVyJztcblxuLyoqXG4gKiBEaXJlY3RpdmUgdGhhdCBzaG93cyBhIHNob3J0IHRleHQgbWVzc2FnZSBpbiBhbiBvdmVybGF5IHdoZW4gdGhlIHVzZXIgaG92ZXJzIG92ZXIgdGhlIGhvc3RcbiAqIGVsZW1lbnQsIGZvY3VzZXMgaXQgdXNpbmcgdGhlIGtleWJvYXJkIG9yIGxvbmctcHJlc3NlcyBpdCBvbiBhIHRvdWNoIGRldmljZS4gVGhlIG1lc3NhZ2UgaXNcbiAqIGFsc28gYWRkZWQgdG8gdGhlIGBhcmlhLWRlc2NyaWJlZGJ5YCBhdHRyaWJ1dGUgb2YgdGhlIGhvc3QgZWxlbWVudCB0aHJvdWdoIHRoZVxuICogYEFyaWFEZXNjcmliZXJgLCBzbyB0aGF0IGl0IGlzIGFubm91bmNlZCBieSBhc3Npc3RpdmUgdGVjaG5vbG9neS5cbiAqL1xuQERpcmVjdGl2ZSh7XG4gIHNlbGVjdG9yOiAnW2Nka1Rvb2x0aXBdJyxcbiAgZXhwb3J0QXM6ICdjZGtUb29sdGlwJyxcbiAgaW5wdXRzOiBbXG4gICAgJ3Bvc2l0aW9uOiBjZGtUb29sdGlwUG9zaXRpb24nLFxuICAgICdkaXNhYmxlZDogY2RrVG9vbHRpcERpc2FibGVkJyxcbiAgICAnc2hvd0RlbGF5OiBjZGtUb29sdGlwU2hvd0RlbGF5JyxcbiAgICAnaGlkZURlbGF5OiBjZGtUb29sdGlwSGlkZURlbGF5JyxcbiAgICAncGFuZWxDbGFzczogY2RrVG9vbHRpcFBhbmVsQ2xhc3MnLFxuICBdLFxuICBob3N0OiB7XG4gICAgJ2NsYXNzJzogJ2Nkay10b29sdGlwLXRyaWdnZXInLFxuICB9LFxufSlcbmV4cG9ydCBjbGFzcyBDZGtUb29sdGlwIGV4dGVuZHMgQ2RrVG9vbHRpcEJhc2UgaW1wbGVtZW50cyBPbkRlc3Ryb3kge1xuICAvKiogTWVzc2FnZSB0aGF0IGlzIHNob3duIGluIHRoZSB0b29sdGlwLiAqL1xuICBASW5wdXQoJ2Nka1Rvb2x0aXAnKVxuICBnZXQgbWVzc2FnZSgpOiBzdHJpbmcgeyByZXR1cm4gdGhpcy5fbWVzc2FnZTsgfVxuICBzZXQgbWVzc2FnZSh2YWx1ZTogc3RyaW5nKSB7XG4gICAgY29uc3QgZWxlbWVudCA9IHRoaXMuX2VsZW1lbnRSZWYubmF0aXZlRWxlbWVudDtcbiAgICBjb25zdCBtZXNzYWdlID0gdmFsdWUgIT0gbnVsbCA/IGAke3ZhbHVlfWAudHJpbSgpIDogJyc7XG5cbiAgICB0aGlzLl9hcmlhRGVzY3JpYmVyLnJlbW92ZURlc2NyaXB0aW9uKGVsZW1lbnQsIHRoaXMuX21lc3NhZ2UsICd0b29sdGlwJyk7XG4gICAgdGhpcy5fbWVzc2FnZSA9IG1lc3NhZ2U7XG5cbiAgICBpZiAoIW1lc3NhZ2UgJiYgdGhpcy5pc1Nob3duKCkpIHtcbiAgICAgIHRoaXMuaGlkZSgwKTtcbiAgICB9IGVsc2Uge1xuICAgICAgdGhpcy5fdXBkYXRlTWVzc2FnZSgpO1xuXG4gICAgICAvLyBXYWl0IGEgdGljayBiZWZvcmUgZGVzY3JpYmluZyB0aGUgdHJpZ2dlciwgYmVjYXVzZSB0aGUgbWVzc2FnZSBtYXkgYmUgYm91bmRcbiAgICAgIC8vIHRvIGEgdmFsdWUgdGhhdCBjaGFuZ2VzIG11bHRpcGxlIHRpbWVzIHdoaWxlIHRoZSB2aWV3IGlzIGJlaW5nIGluaXRpYWxpemVkLlxuICAgICAgdGhpcy5fbmdab25lLnJ1bk91dHNpZGVBbmd1bGFyKCgpID0+IHtcbiAgICAgICAgUHJvbWlzZS5yZXNvbHZlKCkudGhlbigoKSA9PiB7XG4gICAgICAgICAgaWYgKG1lc3NhZ2UgPT09IHRoaXMuX21lc3NhZ2UgJiYgIXRoaXMuX2Rlc3Ryb3llZC5pc1N0b3BwZWQpIHtcbiAgICAgICAgICAgIHRoaXMuX2FyaWFEZXNjcmliZXIuZGVzY3JpYmUoZWxlbWVudCwgbWVzc2FnZSwgJ3Rvb2x0aXAnKTtcbiAgICAgICAgICB9XG4gICAgICAgIH0pO1xuICAgICAgfSk7XG4gICAgfVxuICB9XG4gIHByaXZhdGUgX21lc3NhZ2UgPSAnJztcblxuICBwcm90ZWN0ZWQgcmVhZG9ubHkgX2NsYXNzUHJlZml4ID0gJ2Nkay10b29sdGlwJztcblxuICAvKiogQ29tcG9uZW50IHRoYXQgcmVuZGVycyB0aGUgbWVzc2FnZSwgaWYgdGhlIHRvb2x0aXAgaXMgc2hvd24uICovXG4gIHByaXZhdGUgX2NvbnRhaW5lcjogQ2RrVG9vbHRpcENvbnRhaW5lciB8IG51bGwgPSBudWxsO1xuXG4gIC8qKiBQb3J0YWwgdXNlZCB0byByZW5kZXIgdGhlIG1lc3NhZ2UuICovXG4gIHByaXZhdGUgX3BvcnRhbDogQ29tcG9uZW50UG9ydGFsPENka1Rvb2x0aXBDb250YWluZXI+IHwgbnVsbCA9IG51bGw7XG5cbiAgY29uc3RydWN0b3IoXG4gICAgb3ZlcmxheTogT3ZlcmxheSxcbiAgICBlbGVtZW50UmVmOiBFbGVtZW50UmVmPEhUTUxFbGVtZW50PixcbiAgICBuZ1pvbmU6IE5nWm9uZSxcbiAgICBzY3JvbGxEaXNwYXRjaGVyOiBTY3JvbGxEaXNwYXRjaGVyLFxuICAgIHBsYXRmb3JtOiBQbGF0Zm9ybSxcbiAgICBmb2N1c01vbml0b3I6IEZvY3VzTW9uaXRvcixcbiAgICBwcml2YXRlIHJlYWRvbmx5IF92aWV3Q29udGFpbmVyUmVmOiBWaWV3Q29udGFpbmVyUmVmLFxuICAgIHByaXZhdGUgcmVhZG9ubHkgX2FyaWFEZXNjcmliZXI6IEFyaWFEZXNjcmliZXIsXG4gICAgQEluamVjdChDREtfVE9PTFRJUF9TQ1JPTExfU1RSQVRFR1kpIHNjcm9sbFN0cmF0ZWd5OiBhbnksXG4gICAgQEluamVjdChET0NVTUVOVCkgZG9jdW1lbnQ6IGFueSxcbiAgICBAT3B0aW9uYWwoKSBkaXI/OiBEaXJlY3Rpb25hbGl0eSxcbiAgICBAT3B0aW9uYWwoKSBASW5qZWN0KENES19UT09MVElQX0RFRkFVTFRfT1BUSU9OUykgZGVmYXVsdE9wdGlvbnM/OiBDZGtUb29sdGlwRGVmYXVsdE9wdGlvbnMpIHtcbiAgICBzdXBlcihvdmVybGF5LCBlbGVtZW50UmVmLCBuZ1pvbmUsIHNjcm9sbERpc3BhdGNoZXIsIHBsYXRmb3JtLCBmb2N1c01vbml0b3IsXG4gICAgICAgICAgc2Nyb2xsU3RyYXRlZ3ksIGRvY3VtZW50LCBkaXIsIGRlZmF1bHRPcHRpb25zKTtcbiAgfVxuXG4gIG5nT25EZXN0cm95KCkge1xuICAgIGNvbnN0IGVsZW1lbnQgPSB0aGlzLl9lbGVtZW50UmVmLm5hdGl2ZUVsZW1lbnQ7XG4gICAgc3VwZXIubmdPbkRlc3Ryb3koKTtcbiAgICB0aGlzLl9hcmlhRGVzY3JpYmVyLnJlbW92ZURlc2NyaXB0aW9uKGVsZW1lbnQsIHRoaXMuX21lc3NhZ2UsICd0b29sdGlwJyk7XG4gIH1cblxuICBwcm90ZWN0ZWQgX2hhc0NvbnRlbnQoKTogYm9vbGVhbiB7XG4gICAgcmV0dXJuICEhdGhpcy5fbWVzc2FnZTtcbiAgfVxuXG4gIHByb3RlY3RlZCBfc2hvd3NPbkhvdmVyQW5kRm9jdXMoKTogYm9vbGVhbiB7XG4gICAgcmV0dXJuIHRydWU7XG4gIH1cblxuICBwcm90ZWN0ZWQgX2F0dGFjaENvbnRlbnQob3ZlcmxheVJlZjogT3ZlcmxheVJlZikge1xuICAgIGlmICghdGhpcy5fcG9ydGFsKSB7XG4gICAgICB0aGlzLl9wb3J0YWwgPSBuZXcgQ29tcG9uZW50UG9ydGFsKENka1Rvb2x0aXBDb250YWluZXIsIHRoaXMuX3ZpZXdDb250YWluZXJSZWYpO1xuICAgIH1cblxuICAgIHRoaXMuX2NvbnRhaW5lciA9IG92ZXJsYXlSZWYuYXR0YWNoKHRoaXMuX3BvcnRhbCkuaW5zdGFuY2U7XG4gICAgdGhpcy5fdXBkYXRlTWVzc2FnZSgpO1xuICB9XG5cbiAgcHJvdGVjdGVkIF9vbkRldGFjaGVkKCkge1xuICAgIHRoaXMuX2NvbnRhaW5lciA9IG51bGw7XG4gIH1cblxuICAvKiogVXBkYXRlcyB0aGUgbWVzc2FnZSBpbnNpZGUgb2YgdGhlIHRvb2x0aXAsIGlmIGl0IGlzIHNob3duLiAqL1xuICBwcml2YXRlIF91cGRhdGVNZXNzYWdlKCkge1xuICAgIGlmICh0aGlzLl9jb250YWluZXIpIHtcbiAgICAgIHRoaXMuX2NvbnRhaW5lci5fc2V0TWVzc2FnZSh0aGlzLl9tZXNzYWdlKTtcblxuICAgICAgLy8gVGhlIHNpemUgb2YgdGhlIHRvb2x0aXAgY2hhbmdlcyBhbG9uZyB3aXRoIGl0cyBtZXNzYWdlLlxuICAgICAgdGhpcy5fbmdab25lLm9uTWljcm90YXNrRW1wdHkuYXNPYnNlcnZhYmxlKCkucGlwZSh0YWtlKDEpKS5zdWJzY3JpYmUoKCkgPT4ge1xuICAgICAgICB0aGlzLnVwZGF0ZVBvc2l0aW9uKCk7XG4gICAgICB9KTtcbiAgICB9XG4gIH1cbn1cbiJdfQ==
\ No newline at end of file
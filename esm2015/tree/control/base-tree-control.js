@@ -6,19 +6,33 @@
  * found in the LICENSE file at https://angular.io/license
  */
 import { SelectionModel } from '@angular/cdk/collections';
+import { Subject } from 'rxjs';
+import { filter, map, startWith, take } from 'rxjs/operators';
 /** Base tree control. It has basic toggle/expand/collapse operations on a single data node. */
 export class BaseTreeControl {
     constructor() {
         /** A selection model with multi-selection to track expansion status. */
         this.expansionModel = new SelectionModel(true);
+        /** State of the lazily-loaded children, keyed by the data node's tracking value. */
+        this._childrenStates = new Map();
+        /** Subscriptions to the batches of children that are currently being loaded. */
+        this._childrenSubscriptions = new Map();
+        /** Emits a data node whenever the state of its lazily-loaded children changes. */
+        this._childrenStateChanges = new Subject();
+        /** Stream that emits a data node whenever the state of its lazily-loaded children changes. */
+        this.childrenStateChanges = this._childrenStateChanges;
     }
     /** Toggles one single data node's expanded/collapsed state. */
     toggle(dataNode) {
         this.expansionModel.toggle(this._trackByValue(dataNode));
+        if (this.isExpanded(dataNode)) {
+            this._loadChildrenOnFirstExpand(dataNode);
+        }
     }
     /** Expands one single data node. */
     expand(dataNode) {
         this.expansionModel.select(this._trackByValue(dataNode));
+        this._loadChildrenOnFirstExpand(dataNode);
     }
     /** Collapses one single data node. */
     collapse(dataNode) {
@@ -50,8 +64,95 @@ export class BaseTreeControl {
         toBeProcessed.push(...this.getDescendants(dataNode));
         this.expansionModel.deselect(...toBeProcessed.map(value => this._trackByValue(value)));
     }
+    /**
+     * Gets the state of the lazily-loaded children of a data node. Returns null if
+     * no children have been requested for the data node yet.
+     */
+    getChildrenState(dataNode) {
+        return this._childrenStates.get(this._trackByValue(dataNode)) || null;
+    }
+    /**
+     * Gets a stream of the lazily-loaded children of a data node. Emits the children that have
+     * been loaded so far whenever the state of the data node's children changes.
+     */
+    getLoadedChildren(dataNode) {
+        const key = this._trackByValue(dataNode);
+        return this._childrenStateChanges.pipe(filter(changedNode => this._trackByValue(changedNode) === key), startWith(dataNode), map(() => {
+            const state = this._childrenStates.get(key);
+            return state ? state.children : [];
+        }));
+    }
+    /**
+     * Loads the next batch of children of a data node. If loading the previous
+     * batch failed, the failed batch will be requested again.
+     */
+    loadMoreChildren(dataNode) {
+        const key = this._trackByValue(dataNode);
+        const state = this._childrenStates.get(key) ||
+            { children: [], loading: false, error: null, hasMore: true };
+        if (!this.loadChildren || state.loading || !state.hasMore) {
+            return;
+        }
+        let hasLoaded = false;
+        this._setChildrenState(dataNode, Object.assign(Object.assign({}, state), { loading: true, error: null }));
+        const batchStream = this.loadChildren(dataNode, state.children.length).pipe(take(1));
+        const subscription = batchStream.subscribe({
+            next: result => {
+                const batch = Array.isArray(result) ? { children: result, hasMore: false } : result;
+                hasLoaded = true;
+                this._setChildrenState(dataNode, {
+                    children: [...state.children, ...batch.children],
+                    loading: false,
+                    error: null,
+                    hasMore: !!batch.hasMore
+                });
+            },
+            error: error => {
+                this._childrenSubscriptions.delete(key);
+                this._setChildrenState(dataNode, Object.assign(Object.assign({}, state), { loading: false, error }));
+            },
+            complete: () => {
+                this._childrenSubscriptions.delete(key);
+                // If the stream completed without emitting, assume that there are no more children.
+                if (!hasLoaded) {
+                    this._setChildrenState(dataNode, Object.assign(Object.assign({}, state), { loading: false, hasMore: false }));
+                }
+            }
+        });
+        // The loader might have emitted synchronously in which case the subscription is already done.
+        if (!subscription.closed) {
+            this._childrenSubscriptions.set(key, subscription);
+        }
+    }
+    /** Retries loading the children of a data node if loading the last batch failed. */
+    retryLoadingChildren(dataNode) {
+        const state = this.getChildrenState(dataNode);
+        if (state && state.error) {
+            this.loadMoreChildren(dataNode);
+        }
+    }
+    /** Discards the lazily-loaded children of a data node and loads them again from the start. */
+    reloadChildren(dataNode) {
+        var _a;
+        const key = this._trackByValue(dataNode);
+        (_a = this._childrenSubscriptions.get(key)) === null || _a === void 0 ? void 0 : _a.unsubscribe();
+        this._childrenSubscriptions.delete(key);
+        this._childrenStates.delete(key);
+        this.loadMoreChildren(dataNode);
+    }
+    /** Loads the first batch of children of a data node, unless it has been loaded already. */
+    _loadChildrenOnFirstExpand(dataNode) {
+        if (this.loadChildren && !this._childrenStates.has(this._trackByValue(dataNode))) {
+            this.loadMoreChildren(dataNode);
+        }
+    }
+    /** Updates the state of the lazily-loaded children of a data node. */
+    _setChildrenState(dataNode, state) {
+        this._childrenStates.set(this._trackByValue(dataNode), state);
+        this._childrenStateChanges.next(dataNode);
+    }
     _trackByValue(value) {
         return this.trackBy ? this.trackBy(value) : value;
     }
 }
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiYmFzZS10cmVlLWNvbnRyb2wuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyIuLi8uLi8uLi8uLi8uLi8uLi8uLi9zcmMvY2RrL3RyZWUvY29udHJvbC9iYXNlLXRyZWUtY29udHJvbC50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiQUFBQTs7Ozs7O0dBTUc7QUFDSCxPQUFPLEVBQUMsY0FBYyxFQUFDLE1BQU0sMEJBQTBCLENBQUM7QUFJeEQsK0ZBQStGO0FBQy9GLE1BQU0sT0FBZ0IsZUFBZTtJQUFyQztRQVdFLHdFQUF3RTtRQUN4RSxtQkFBYyxHQUFzQixJQUFJLGNBQWMsQ0FBSSxJQUFJLENBQUMsQ0FBQztJQXVFbEUsQ0FBQztJQWpEQywrREFBK0Q7SUFDL0QsTUFBTSxDQUFDLFFBQVc7UUFDaEIsSUFBSSxDQUFDLGNBQWMsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLGFBQWEsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDO0lBQzNELENBQUM7SUFFRCxvQ0FBb0M7SUFDcEMsTUFBTSxDQUFDLFFBQVc7UUFDaEIsSUFBSSxDQUFDLGNBQWMsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLGFBQWEsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDO0lBQzNELENBQUM7SUFFRCxzQ0FBc0M7SUFDdEMsUUFBUSxDQUFDLFFBQVc7UUFDbEIsSUFBSSxDQUFDLGNBQWMsQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLGFBQWEsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDO0lBQzdELENBQUM7SUFFRCwrRkFBK0Y7SUFDL0YsVUFBVSxDQUFDLFFBQVc7UUFDcEIsT0FBTyxJQUFJLENBQUMsY0FBYyxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsYUFBYSxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUM7SUFDdEUsQ0FBQztJQUVELHNEQUFzRDtJQUN0RCxpQkFBaUIsQ0FBQyxRQUFXO1FBQzNCLElBQUksQ0FBQyxjQUFjLENBQUMsVUFBVSxDQUFDLElBQUksQ0FBQyxhQUFhLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxDQUFDO1lBQzFELElBQUksQ0FBQyxtQkFBbUIsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDO1lBQ3BDLElBQUksQ0FBQyxpQkFBaUIsQ0FBQyxRQUFRLENBQUMsQ0FBQztJQUN2QyxDQUFDO0lBRUQsMENBQTBDO0lBQzFDLFdBQVc7UUFDVCxJQUFJLENBQUMsY0FBYyxDQUFDLEtBQUssRUFBRSxDQUFDO0lBQzlCLENBQUM7SUFFRCwrREFBK0Q7SUFDL0QsaUJBQWlCLENBQUMsUUFBVztRQUMzQixJQUFJLGFBQWEsR0FBRyxDQUFDLFFBQVEsQ0FBQyxDQUFDO1FBQy9CLGFBQWEsQ0FBQyxJQUFJLENBQUMsR0FBRyxJQUFJLENBQUMsY0FBYyxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUM7UUFDckQsSUFBSSxDQUFDLGNBQWMsQ0FBQyxNQUFNLENBQUMsR0FBRyxhQUFhLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLGFBQWEsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDdkYsQ0FBQztJQUVELGlFQUFpRTtJQUNqRSxtQkFBbUIsQ0FBQyxRQUFXO1FBQzdCLElBQUksYUFBYSxHQUFHLENBQUMsUUFBUSxDQUFDLENBQUM7UUFDL0IsYUFBYSxDQUFDLElBQUksQ0FBQyxHQUFHLElBQUksQ0FBQyxjQUFjLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQztRQUNyRCxJQUFJLENBQUMsY0FBYyxDQUFDLFFBQVEsQ0FBQyxHQUFHLGFBQWEsQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsYUFBYSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUN6RixDQUFDO0lBRVMsYUFBYSxDQUFDLEtBQVU7UUFDaEMsT0FBTyxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLEtBQVUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxLQUFVLENBQUM7SUFDOUQsQ0FBQztDQUNGIiwic291cmNlc0NvbnRlbnQiOlsiLyoqXG4gKiBAbGljZW5zZVxuICogQ29weXJpZ2h0IEdvb2dsZSBMTEMgQWxsIFJpZ2h0cyBSZXNlcnZlZC5cbiAqXG4gKiBVc2Ugb2YgdGhpcyBzb3VyY2UgY29kZSBpcyBnb3Zlcm5lZCBieSBhbiBNSVQtc3R5bGUgbGljZW5zZSB0aGF0IGNhbiBiZVxuICogZm91bmQgaW4gdGhlIExJQ0VOU0UgZmlsZSBhdCBodHRwczovL2FuZ3VsYXIuaW8vbGljZW5zZVxuICovXG5pbXBvcnQge1NlbGVjdGlvbk1vZGVsfSBmcm9tICdAYW5ndWxhci9jZGsvY29sbGVjdGlvbnMnO1xuaW1wb3J0IHtPYnNlcnZhYmxlfSBmcm9tICdyeGpzJztcbmltcG9ydCB7VHJlZUNvbnRyb2x9IGZyb20gJy4vdHJlZS1jb250cm9sJztcblxuLyoqIEJhc2UgdHJlZSBjb250cm9sLiBJdCBoYXMgYmFzaWMgdG9nZ2xlL2V4cGFuZC9jb2xsYXBzZSBvcGVyYXRpb25zIG9uIGEgc2luZ2xlIGRhdGEgbm9kZS4gKi9cbmV4cG9ydCBhYnN0cmFjdCBjbGFzcyBCYXNlVHJlZUNvbnRyb2w8VCwgSyA9IFQ+IGltcGxlbWVudHMgVHJlZUNvbnRyb2w8VCwgSz4ge1xuXG4gIC8qKiBHZXRzIGEgbGlzdCBvZiBkZXNjZW5kZW50IGRhdGEgbm9kZXMgb2YgYSBzdWJ0cmVlIHJvb3RlZCBhdCBnaXZlbiBkYXRhIG5vZGUgcmVjdXJzaXZlbHkuICovXG4gIGFic3RyYWN0IGdldERlc2NlbmRhbnRzKGRhdGFOb2RlOiBUKTogVFtdO1xuXG4gIC8qKiBFeHBhbmRzIGFsbCBkYXRhIG5vZGVzIGluIHRoZSB0cmVlLiAqL1xuICBhYnN0cmFjdCBleHBhbmRBbGwoKTogdm9pZDtcblxuICAvKiogU2F2ZWQgZGF0YSBub2RlIGZvciBgZXhwYW5kQWxsYCBhY3Rpb24uICovXG4gIGRhdGFOb2RlczogVFtdO1xuXG4gIC8qKiBBIHNlbGVjdGlvbiBtb2RlbCB3aXRoIG11bHRpLXNlbGVjdGlvbiB0byB0cmFjayBleHBhbnNpb24gc3RhdHVzLiAqL1xuICBleHBhbnNpb25Nb2RlbDogU2VsZWN0aW9uTW9kZWw8Sz4gPSBuZXcgU2VsZWN0aW9uTW9kZWw8Sz4odHJ1ZSk7XG5cbiAgLyoqXG4gICAqIFJldHVybnMgdGhlIGlkZW50aWZpZXIgYnkgd2hpY2ggYSBkYXRhTm9kZSBzaG91bGQgYmUgdHJhY2tlZCwgc2hvdWxkIGl0c1xuICAgKiByZWZlcmVuY2UgY2hhbmdlLlxuICAgKlxuICAgKiBTaW1pbGFyIHRvIHRyYWNrQnkgZm9yICpuZ0ZvclxuICAgKi9cbiAgdHJhY2tCeT86IChkYXRhTm9kZTogVCkgPT4gSztcblxuICAvKiogR2V0IGRlcHRoIG9mIGEgZ2l2ZW4gZGF0YSBub2RlLCByZXR1cm4gdGhlIGxldmVsIG51bWJlci4gVGhpcyBpcyBmb3IgZmxhdCB0cmVlIG5vZGUuICovXG4gIGdldExldmVsOiAoZGF0YU5vZGU6IFQpID0+IG51bWJlcjtcblxuICAvKipcbiAgICogV2hldGhlciB0aGUgZGF0YSBub2RlIGlzIGV4cGFuZGFibGUuIFJldHVybnMgdHJ1ZSBpZiBleHBhbmRhYmxlLlxuICAgKiBUaGlzIGlzIGZvciBmbGF0IHRyZWUgbm9kZS5cbiAgICovXG4gIGlzRXhwYW5kYWJsZTogKGRhdGFOb2RlOiBUKSA9PiBib29sZWFuO1xuXG4gIC8qKiBHZXRzIGEgc3RyZWFtIHRoYXQgZW1pdHMgd2hlbmV2ZXIgdGhlIGdpdmVuIGRhdGEgbm9kZSdzIGNoaWxkcmVuIGNoYW5nZS4gKi9cbiAgZ2V0Q2hpbGRyZW46IChkYXRhTm9kZTogVCkgPT4gKE9ic2VydmFibGU8VFtdPiB8IFRbXSB8IHVuZGVmaW5lZCB8IG51bGwpO1xuXG4gIC8qKiBUb2dnbGVzIG9uZSBzaW5nbGUgZGF0YSBub2RlJ3MgZXhwYW5kZWQvY29sbGFwc2VkIHN0YXRlLiAqL1xuICB0b2dnbGUoZGF0YU5vZGU6IFQpOiB2b2lkIHtcbiAgICB0aGlzLmV4cGFuc2lvbk1vZGVsLnRvZ2dsZSh0aGlzLl90cmFja0J5VmFsdWUoZGF0YU5vZGUpKTtcbiAgfVxuXG4gIC8qKiBFeHBhbmRzIG9uZSBzaW5nbGUgZGF0YSBub2RlLiAqL1xuICBleHBhbmQoZGF0YU5vZGU6IFQpOiB2b2lkIHtcbiAgICB0aGlzLmV4cGFuc2lvbk1vZGVsLnNlbGVjdCh0aGlzLl90cmFja0J5VmFsdWUoZGF0YU5vZGUpKTtcbiAgfVxuXG4gIC8qKiBDb2xsYXBzZXMgb25lIHNpbmdsZSBkYXRhIG5vZGUuICovXG4gIGNvbGxhcHNlKGRhdGFOb2RlOiBUKTogdm9pZCB7XG4gICAgdGhpcy5leHBhbnNpb25Nb2RlbC5kZXNlbGVjdCh0aGlzLl90cmFja0J5VmFsdWUoZGF0YU5vZGUpKTtcbiAgfVxuXG4gIC8qKiBXaGV0aGVyIGEgZ2l2ZW4gZGF0YSBub2RlIGlzIGV4cGFuZGVkIG9yIG5vdC4gUmV0dXJucyB0cnVlIGlmIHRoZSBkYXRhIG5vZGUgaXMgZXhwYW5kZWQuICovXG4gIGlzRXhwYW5kZWQoZGF0YU5vZGU6IFQpOiBib29sZWFuIHtcbiAgICByZXR1cm4gdGhpcy5leHBhbnNpb25Nb2RlbC5pc1NlbGVjdGVkKHRoaXMuX3RyYWNrQnlWYWx1ZShkYXRhTm9kZSkpO1xuICB9XG5cbiAgLyoqIFRvZ2dsZXMgYSBzdWJ0cmVlIHJvb3RlZCBhdCBgbm9kZWAgcmVjdXJzaXZlbHkuICovXG4gIHRvZ2dsZURlc2NlbmRhbnRzKGRhdGFOb2RlOiBUKTogdm9pZCB7XG4gICAgdGhpcy5leHBhbnNpb25Nb2RlbC5pc1NlbGVjdGVkKHRoaXMuX3RyYWNrQnlWYWx1ZShkYXRhTm9kZSkpID9cbiAgICAgICAgdGhpcy5jb2xsYXBzZURlc2NlbmRhbnRzKGRhdGFOb2RlKSA6XG4gICAgICAgIHRoaXMuZXhwYW5kRGVzY2VuZGFudHMoZGF0YU5vZGUpO1xuICB9XG5cbiAgLyoqIENvbGxhcHNlIGFsbCBkYXRhTm9kZXMgaW4gdGhlIHRyZWUuICovXG4gIGNvbGxhcHNlQWxsKCk6IHZvaWQge1xuICAgIHRoaXMuZXhwYW5zaW9uTW9kZWwuY2xlYXIoKTtcbiAgfVxuXG4gIC8qKiBFeHBhbmRzIGEgc3VidHJlZSByb290ZWQgYXQgZ2l2ZW4gZGF0YSBub2RlIHJlY3Vyc2l2ZWx5LiAqL1xuICBleHBhbmREZXNjZW5kYW50cyhkYXRhTm9kZTogVCk6IHZvaWQge1xuICAgIGxldCB0b0JlUHJvY2Vzc2VkID0gW2RhdGFOb2RlXTtcbiAgICB0b0JlUHJvY2Vzc2VkLnB1c2goLi4udGhpcy5nZXREZXNjZW5kYW50cyhkYXRhTm9kZSkpO1xuICAgIHRoaXMuZXhwYW5zaW9uTW9kZWwuc2VsZWN0KC4uLnRvQmVQcm9jZXNzZWQubWFwKHZhbHVlID0+IHRoaXMuX3RyYWNrQnlWYWx1ZSh2YWx1ZSkpKTtcbiAgfVxuXG4gIC8qKiBDb2xsYXBzZXMgYSBzdWJ0cmVlIHJvb3RlZCBhdCBnaXZlbiBkYXRhIG5vZGUgcmVjdXJzaXZlbHkuICovXG4gIGNvbGxhcHNlRGVzY2VuZGFudHMoZGF0YU5vZGU6IFQpOiB2b2lkIHtcbiAgICBsZXQgdG9CZVByb2Nlc3NlZCA9IFtkYXRhTm9kZV07XG4gICAgdG9CZVByb2Nlc3NlZC5wdXNoKC4uLnRoaXMuZ2V0RGVzY2VuZGFudHMoZGF0YU5vZGUpKTtcbiAgICB0aGlzLmV4cGFuc2lvbk1vZGVsLmRlc2VsZWN0KC4uLnRvQmVQcm9jZXNzZWQubWFwKHZhbHVlID0+IHRoaXMuX3RyYWNrQnlWYWx1ZSh2YWx1ZSkpKTtcbiAgfVxuXG4gIHByb3RlY3RlZCBfdHJhY2tCeVZhbHVlKHZhbHVlOiBUfEspOiBLIHtcbiAgICByZXR1cm4gdGhpcy50cmFja0J5ID8gdGhpcy50cmFja0J5KHZhbHVlIGFzIFQpIDogdmFsdWUgYXMgSztcbiAgfVxufVxuIl19
\ No newline at end of file
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiYmFzZS10cmVlLWNvbnRyb2wuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyIuLi8uLi8uLi8uLi8uLi8uLi8uLi9zcmMvY2RrL3RyZWUvY29udHJvbC9iYXNlLXRyZWUtY29udHJvbC50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiQUFBQTs7Ozs7O0dBTUc7QUFDSCxPQUFPLEVBQUMsY0FBYyxFQUFDLE1BQU0sMEJBQTBCLENBQUM7QUFDeEQsT0FBTyxFQUFhLE9BQU8sRUFBZSxNQUFNLE1BQU0sQ0FBQztBQUN2RCxPQUFPLEVBQUMsTUFBTSxFQUFFLEdBQUcsRUFBRSxTQUFTLEVBQUUsSUFBSSxFQUFDLE1BQU0sZ0JBQWdCLENBQUM7QUFHNUQsK0ZBQStGO0FBQy9GLE1BQU0sT0FBZ0IsZUFBZTtJQUFyQztRQVdFLHdFQUF3RTtRQUN4RSxtQkFBYyxHQUFzQixJQUFJLGNBQWMsQ0FBSSxJQUFJLENBQUMsQ0FBQztRQTRCaEUsb0ZBQW9GO1FBQzVFLG9CQUFlLEdBQUcsSUFBSSxHQUFHLEVBQStCLENBQUM7UUFFakUsZ0ZBQWdGO1FBQ3hFLDJCQUFzQixHQUFHLElBQUksR0FBRyxFQUFtQixDQUFDO1FBRTVELGtGQUFrRjtRQUMxRSwwQkFBcUIsR0FBRyxJQUFJLE9BQU8sRUFBSyxDQUFDO1FBRWpELDhGQUE4RjtRQUNyRix5QkFBb0IsR0FBa0IsSUFBSSxDQUFDLHFCQUFxQixDQUFDO0lBZ0s1RSxDQUFDO0lBOUpDLCtEQUErRDtJQUMvRCxNQUFNLENBQUMsUUFBVztRQUNoQixJQUFJLENBQUMsY0FBYyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsYUFBYSxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUM7UUFFekQsSUFBSSxJQUFJLENBQUMsVUFBVSxDQUFDLFFBQVEsQ0FBQyxFQUFFO1lBQzdCLElBQUksQ0FBQywwQkFBMEIsQ0FBQyxRQUFRLENBQUMsQ0FBQztTQUMzQztJQUNILENBQUM7SUFFRCxvQ0FBb0M7SUFDcEMsTUFBTSxDQUFDLFFBQVc7UUFDaEIsSUFBSSxDQUFDLGNBQWMsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLGFBQWEsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDO1FBQ3pELElBQUksQ0FBQywwQkFBMEIsQ0FBQyxRQUFRLENBQUMsQ0FBQztJQUM1QyxDQUFDO0lBRUQsc0NBQXNDO0lBQ3RDLFFBQVEsQ0FBQyxRQUFXO1FBQ2xCLElBQUksQ0FBQyxjQUFjLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxhQUFhLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQztJQUM3RCxDQUFDO0lBRUQsK0ZBQStGO0lBQy9GLFVBQVUsQ0FBQyxRQUFXO1FBQ3BCLE9BQU8sSUFBSSxDQUFDLGNBQWMsQ0FBQyxVQUFVLENBQUMsSUFBSSxDQUFDLGFBQWEsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDO0lBQ3RFLENBQUM7SUFFRCxzREFBc0Q7SUFDdEQsaUJBQWlCLENBQUMsUUFBVztRQUMzQixJQUFJLENBQUMsY0FBYyxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsYUFBYSxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUMxRCxJQUFJLENBQUMsbUJBQW1CLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQztZQUNwQyxJQUFJLENBQUMsaUJBQWlCLENBQUMsUUFBUSxDQUFDLENBQUM7SUFDdkMsQ0FBQztJQUVELDBDQUEwQztJQUMxQyxXQUFXO1FBQ1QsSUFBSSxDQUFDLGNBQWMsQ0FBQyxLQUFLLEVBQUUsQ0FBQztJQUM5QixDQUFDO0lBRUQsK0RBQStEO0lBQy9ELGlCQUFpQixDQUFDLFFBQVc7UUFDM0IsSUFBSSxhQUFhLEdBQUcsQ0FBQyxRQUFRLENBQUMsQ0FBQztRQUMvQixhQUFhLENBQUMsSUFBSSxDQUFDLEdBQUcsSUFBSSxDQUFDLGNBQWMsQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDO1FBQ3JELElBQUksQ0FBQyxjQUFjLENBQUMsTUFBTSxDQUFDLEdBQUcsYUFBYSxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxhQUFhLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ3ZGLENBQUM7SUFFRCxpRUFBaUU7SUFDakUsbUJBQW1CLENBQUMsUUFBVztRQUM3QixJQUFJLGFBQWEsR0FBRyxDQUFDLFFBQVEsQ0FBQyxDQUFDO1FBQy9CLGFBQWEsQ0FBQyxJQUFJLENBQUMsR0FBRyxJQUFJLENBQUMsY0FBYyxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUM7UUFDckQsSUFBSSxDQUFDLGNBQWMsQ0FBQyxRQUFRLENBQUMsR0FBRyxhQUFhLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLGFBQWEsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDekYsQ0FBQztJQUVEOzs7T0FHRztJQUNILGdCQUFnQixDQUFDLFFBQVc7UUFDMUIsT0FBTyxJQUFJLENBQUMsZUFBZSxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsYUFBYSxDQUFDLFFBQVEsQ0FBQyxDQUFDLElBQUksSUFBSSxDQUFDO0lBQ3hFLENBQUM7SUFFRDs7O09BR0c7SUFDSCxpQkFBaUIsQ0FBQyxRQUFXO1FBQzNCLE1BQU0sR0FBRyxHQUFHLElBQUksQ0FBQyxhQUFhLENBQUMsUUFBUSxDQUFDLENBQUM7UUFFekMsT0FBTyxJQUFJLENBQUMscUJBQXFCLENBQUMsSUFBSSxDQUNwQyxNQUFNLENBQUMsV0FBVyxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsYUFBYSxDQUFDLFdBQVcsQ0FBQyxLQUFLLEdBQUcsQ0FBQyxFQUM5RCxTQUFTLENBQUMsUUFBUSxDQUFDLEVBQ25CLEdBQUcsQ0FBQyxHQUFHLEVBQUU7WUFDUCxNQUFNLEtBQUssR0FBRyxJQUFJLENBQUMsZUFBZSxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsQ0FBQztZQUM1QyxPQUFPLEtBQUssQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDO1FBQ3JDLENBQUMsQ0FBQyxDQUNILENBQUM7SUFDSixDQUFDO0lBRUQ7OztPQUdHO0lBQ0gsZ0JBQWdCLENBQUMsUUFBVztRQUMxQixNQUFNLEdBQUcsR0FBRyxJQUFJLENBQUMsYUFBYSxDQUFDLFFBQVEsQ0FBQyxDQUFDO1FBQ3pDLE1BQU0sS0FBSyxHQUFHLElBQUksQ0FBQyxlQUFlLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQztZQUN2QyxFQUFDLFFBQVEsRUFBRSxFQUFFLEVBQUUsT0FBTyxFQUFFLEtBQUssRUFBRSxLQUFLLEVBQUUsSUFBSSxFQUFFLE9BQU8sRUFBRSxJQUFJLEVBQUMsQ0FBQztRQUUvRCxJQUFJLENBQUMsSUFBSSxDQUFDLFlBQVksSUFBSSxLQUFLLENBQUMsT0FBTyxJQUFJLENBQUMsS0FBSyxDQUFDLE9BQU8sRUFBRTtZQUN6RCxPQUFPO1NBQ1I7UUFFRCxJQUFJLFNBQVMsR0FBRyxLQUFLLENBQUM7UUFDdEIsSUFBSSxDQUFDLGlCQUFpQixDQUFDLFFBQVEsa0NBQU0sS0FBSyxLQUFFLE9BQU8sRUFBRSxJQUFJLEVBQUUsS0FBSyxFQUFFLElBQUksSUFBRSxDQUFDO1FBRXpFLE1BQU0sV0FBVyxHQUFHLElBQUksQ0FBQyxZQUFZLENBQUMsUUFBUSxFQUFFLEtBQUssQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQ3JGLE1BQU0sWUFBWSxHQUFHLFdBQVcsQ0FBQyxTQUFTLENBQUM7WUFDekMsSUFBSSxFQUFFLE1BQU0sQ0FBQyxFQUFFO2dCQUNiLE1BQU0sS0FBSyxHQUFHLEtBQUssQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUMsUUFBUSxFQUFFLE1BQU0sRUFBRSxPQUFPLEVBQUUsS0FBSyxFQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQztnQkFDbEYsU0FBUyxHQUFHLElBQUksQ0FBQztnQkFDakIsSUFBSSxDQUFDLGlCQUFpQixDQUFDLFFBQVEsRUFBRTtvQkFDL0IsUUFBUSxFQUFFLENBQUMsR0FBRyxLQUFLLENBQUMsUUFBUSxFQUFFLEdBQUcsS0FBSyxDQUFDLFFBQVEsQ0FBQztvQkFDaEQsT0FBTyxFQUFFLEtBQUs7b0JBQ2QsS0FBSyxFQUFFLElBQUk7b0JBQ1gsT0FBTyxFQUFFLENBQUMsQ0FBQyxLQUFLLENBQUMsT0FBTztpQkFDekIsQ0FBQyxDQUFDO1lBQ0wsQ0FBQztZQUNELEtBQUssRUFBRSxLQUFLLENBQUMsRUFBRTtnQkFDYixJQUFJLENBQUMsc0JBQXNCLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxDQUFDO2dCQUN4QyxJQUFJLENBQUMsaUJBQWlCLENBQUMsUUFBUSxrQ0FBTSxLQUFLLEtBQUUsT0FBTyxFQUFFLEtBQUssRUFBRSxLQUFLLElBQUUsQ0FBQztZQUN0RSxDQUFDO1lBQ0QsUUFBUSxFQUFFLEdBQUcsRUFBRTtnQkFDYixJQUFJLENBQUMsc0JBQXNCLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxDQUFDO2dCQUV4QyxvRkFBb0Y7Z0JBQ3BGLElBQUksQ0FBQyxTQUFTLEVBQUU7b0JBQ2QsSUFBSSxDQUFDLGlCQUFpQixDQUFDLFFBQVEsa0NBQU0sS0FBSyxLQUFFLE9BQU8sRUFBRSxLQUFLLEVBQUUsT0FBTyxFQUFFLEtBQUssSUFBRSxDQUFDO2lCQUM5RTtZQUNILENBQUM7U0FDRixDQUFDLENBQUM7UUFFSCw4RkFBOEY7UUFDOUYsSUFBSSxDQUFDLFlBQVksQ0FBQyxNQUFNLEVBQUU7WUFDeEIsSUFBSSxDQUFDLHNCQUFzQixDQUFDLEdBQUcsQ0FBQyxHQUFHLEVBQUUsWUFBWSxDQUFDLENBQUM7U0FDcEQ7SUFDSCxDQUFDO0lBRUQsb0ZBQW9GO0lBQ3BGLG9CQUFvQixDQUFDLFFBQVc7UUFDOUIsTUFBTSxLQUFLLEdBQUcsSUFBSSxDQUFDLGdCQUFnQixDQUFDLFFBQVEsQ0FBQyxDQUFDO1FBRTlDLElBQUksS0FBSyxJQUFJLEtBQUssQ0FBQyxLQUFLLEVBQUU7WUFDeEIsSUFBSSxDQUFDLGdCQUFnQixDQUFDLFFBQVEsQ0FBQyxDQUFDO1NBQ2pDO0lBQ0gsQ0FBQztJQUVELDhGQUE4RjtJQUM5RixjQUFjLENBQUMsUUFBVzs7UUFDeEIsTUFBTSxHQUFHLEdBQUcsSUFBSSxDQUFDLGFBQWEsQ0FBQyxRQUFRLENBQUMsQ0FBQztRQUN6QyxNQUFBLElBQUksQ0FBQyxzQkFBc0IsQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLDBDQUFFLFdBQVcsR0FBRztRQUNwRCxJQUFJLENBQUMsc0JBQXNCLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBQ3hDLElBQUksQ0FBQyxlQUFlLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBQ2pDLElBQUksQ0FBQyxnQkFBZ0IsQ0FBQyxRQUFRLENBQUMsQ0FBQztJQUNsQyxDQUFDO0lBRUQsMkZBQTJGO0lBQ25GLDBCQUEwQixDQUFDLFFBQVc7UUFDNUMsSUFBSSxJQUFJLENBQUMsWUFBWSxJQUFJLENBQUMsSUFBSSxDQUFDLGVBQWUsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLGFBQWEsQ0FBQyxRQUFRLENBQUMsQ0FBQyxFQUFFO1lBQ2hGLElBQUksQ0FBQyxnQkFBZ0IsQ0FBQyxRQUFRLENBQUMsQ0FBQztTQUNqQztJQUNILENBQUM7SUFFRCxzRUFBc0U7SUFDOUQsaUJBQWlCLENBQUMsUUFBVyxFQUFFLEtBQStCO1FBQ3BFLElBQUksQ0FBQyxlQUFlLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxhQUFhLENBQUMsUUFBUSxDQUFDLEVBQUUsS0FBSyxDQUFDLENBQUM7UUFDOUQsSUFBSSxDQUFDLHFCQUFxQixDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsQ0FBQztJQUM1QyxDQUFDO0lBRVMsYUFBYSxDQUFDLEtBQVU7UUFDaEMsT0FBTyxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLEtBQVUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxLQUFVLENBQUM7SUFDOUQsQ0FBQztDQUNGIiwic291cmNlc0NvbnRlbnQiOlsiLyoqXG4gKiBAbGljZW5zZVxuICogQ29weXJpZ2h0IEdvb2dsZSBMTEMgQWxsIFJpZ2h0cyBSZXNlcnZlZC5cbiAqXG4gKiBVc2Ugb2YgdGhpcyBzb3VyY2UgY29kZSBpcyBnb3Zlcm5lZCBieSBhbiBNSVQtc3R5bGUgbGljZW5zZSB0aGF0IGNhbiBiZVxuICogZm91bmQgaW4gdGhlIExJQ0VOU0UgZmlsZSBhdCBodHRwczovL2FuZ3VsYXIuaW8vbGljZW5zZVxuICovXG5pbXBvcnQge1NlbGVjdGlvbk1vZGVsfSBmcm9tICdAYW5ndWxhci9jZGsvY29sbGVjdGlvbnMnO1xuaW1wb3J0IHtPYnNlcnZhYmxlLCBTdWJqZWN0LCBTdWJzY3JpcHRpb259IGZyb20gJ3J4anMnO1xuaW1wb3J0IHtmaWx0ZXIsIG1hcCwgc3RhcnRXaXRoLCB0YWtlfSBmcm9tICdyeGpzL29wZXJhdG9ycyc7XG5pbXBvcnQge1RyZWVDaGlsZHJlbkxvYWRlciwgVHJlZUNvbnRyb2wsIFRyZWVOb2RlQ2hpbGRyZW5TdGF0ZX0gZnJvbSAnLi90cmVlLWNvbnRyb2wnO1xuXG4vKiogQmFzZSB0cmVlIGNvbnRyb2wuIEl0IGhhcyBiYXNpYyB0b2dnbGUvZXhwYW5kL2NvbGxhcHNlIG9wZXJhdGlvbnMgb24gYSBzaW5nbGUgZGF0YSBub2RlLiAqL1xuZXhwb3J0IGFic3RyYWN0IGNsYXNzIEJhc2VUcmVlQ29udHJvbDxULCBLID0gVD4gaW1wbGVtZW50cyBUcmVlQ29udHJvbDxULCBLPiB7XG5cbiAgLyoqIEdldHMgYSBsaXN0IG9mIGRlc2NlbmRlbnQgZGF0YSBub2RlcyBvZiBhIHN1YnRyZWUgcm9vdGVkIGF0IGdpdmVuIGRhdGEgbm9kZSByZWN1cnNpdmVseS4gKi9cbiAgYWJzdHJhY3QgZ2V0RGVzY2VuZGFudHMoZGF0YU5vZGU6IFQpOiBUW107XG5cbiAgLyoqIEV4cGFuZHMgYWxsIGRhdGEgbm9kZXMgaW4gdGhlIHRyZWUuICovXG4gIGFic3RyYWN0IGV4cGFuZEFsbCgpOiB2b2lkO1xuXG4gIC8qKiBTYXZlZCBkYXRhIG5vZGUgZm9yIGBleHBhbmRBbGxgIGFjdGlvbi4gKi9cbiAgZGF0YU5vZGVzOiBUW107XG5cbiAgLyoqIEEgc2VsZWN0aW9uIG1vZGVsIHdpdGggbXVsdGktc2VsZWN0aW9uIHRvIHRyYWNrIGV4cGFuc2lvbiBzdGF0dXMuICovXG4gIGV4cGFuc2lvbk1vZGVsOiBTZWxlY3Rpb25Nb2RlbDxLPiA9IG5ldyBTZWxlY3Rpb25Nb2RlbDxLPih0cnVlKTtcblxuICAvKipcbiAgICogUmV0dXJucyB0aGUgaWRlbnRpZmllciBieSB3aGljaCBhIGRhdGFOb2RlIHNob3VsZCBiZSB0cmFja2VkLCBzaG91bGQgaXRzXG4gICAqIHJlZmVyZW5jZSBjaGFuZ2UuXG4gICAqXG4gICAqIFNpbWlsYXIgdG8gdHJhY2tCeSBmb3IgKm5nRm9yXG4gICAqL1xuICB0cmFja0J5PzogKGRhdGFOb2RlOiBUKSA9PiBLO1xuXG4gIC8qKiBHZXQgZGVwdGggb2YgYSBnaXZlbiBkYXRhIG5vZGUsIHJldHVybiB0aGUgbGV2ZWwgbnVtYmVyLiBUaGlzIGlzIGZvciBmbGF0IHRyZWUgbm9kZS4gKi9cbiAgZ2V0TGV2ZWw6IChkYXRhTm9kZTogVCkgPT4gbnVtYmVyO1xuXG4gIC8qKlxuICAgKiBXaGV0aGVyIHRoZSBkYXRhIG5vZGUgaXMgZXhwYW5kYWJsZS4gUmV0dXJucyB0cnVlIGlmIGV4cGFuZGFibGUuXG4gICAqIFRoaXMgaXMgZm9yIGZsYXQgdHJlZSBub2RlLlxuICAgKi9cbiAgaXNFeHBhbmRhYmxlOiAoZGF0YU5vZGU6IFQpID0+IGJvb2xlYW47XG5cbiAgLyoqIEdldHMgYSBzdHJlYW0gdGhhdCBlbWl0cyB3aGVuZXZlciB0aGUgZ2l2ZW4gZGF0YSBub2RlJ3MgY2hpbGRyZW4gY2hhbmdlLiAqL1xuICBnZXRDaGlsZHJlbjogKGRhdGFOb2RlOiBUKSA9PiAoT2JzZXJ2YWJsZTxUW10+IHwgVFtdIHwgdW5kZWZpbmVkIHwgbnVsbCk7XG5cbiAgLyoqXG4gICAqIEZ1bmN0aW9uIHVzZWQgdG8gbGF6aWx5IGxvYWQgdGhlIGNoaWxkcmVuIG9mIGEgZGF0YSBub2RlLiBJZiBzZXQsIHRoZSBmaXJzdCBiYXRjaCBvZlxuICAgKiBjaGlsZHJlbiBpcyBsb2FkZWQgd2hlbiBhIGRhdGEgbm9kZSBpcyBleHBhbmRlZCBmb3IgdGhlIGZpcnN0IHRpbWUuXG4gICAqL1xuICBsb2FkQ2hpbGRyZW4/OiBUcmVlQ2hpbGRyZW5Mb2FkZXI8VD47XG5cbiAgLyoqIFN0YXRlIG9mIHRoZSBsYXppbHktbG9hZGVkIGNoaWxkcmVuLCBrZXllZCBieSB0aGUgZGF0YSBub2RlJ3MgdHJhY2tpbmcgdmFsdWUuICovXG4gIHByaXZhdGUgX2NoaWxkcmVuU3RhdGVzID0gbmV3IE1hcDxLLCBUcmVlTm9kZUNoaWxkcmVuU3RhdGU8VD4+KCk7XG5cbiAgLyoqIFN1YnNjcmlwdGlvbnMgdG8gdGhlIGJhdGNoZXMgb2YgY2hpbGRyZW4gdGhhdCBhcmUgY3VycmVudGx5IGJlaW5nIGxvYWRlZC4gKi9cbiAgcHJpdmF0ZSBfY2hpbGRyZW5TdWJzY3JpcHRpb25zID0gbmV3IE1hcDxLLCBTdWJzY3JpcHRpb24+KCk7XG5cbiAgLyoqIEVtaXRzIGEgZGF0YSBub2RlIHdoZW5ldmVyIHRoZSBzdGF0ZSBvZiBpdHMgbGF6aWx5LWxvYWRlZCBjaGlsZHJlbiBjaGFuZ2VzLiAqL1xuICBwcml2YXRlIF9jaGlsZHJlblN0YXRlQ2hhbmdlcyA9IG5ldyBTdWJqZWN0PFQ+KCk7XG5cbiAgLyoqIFN0cmVhbSB0aGF0IGVtaXRzIGEgZGF0YSBub2RlIHdoZW5ldmVyIHRoZSBzdGF0ZSBvZiBpdHMgbGF6aWx5LWxvYWRlZCBjaGlsZHJlbiBjaGFuZ2VzLiAqL1xuICByZWFkb25seSBjaGlsZHJlblN0YXRlQ2hhbmdlczogT2JzZXJ2YWJsZTxUPiA9IHRoaXMuX2NoaWxkcmVuU3RhdGVDaGFuZ2VzO1xuXG4gIC8qKiBUb2dnbGVzIG9uZSBzaW5nbGUgZGF0YSBub2RlJ3MgZXhwYW5kZWQvY29sbGFwc2VkIHN0YXRlLiAqL1xuICB0b2dnbGUoZGF0YU5vZGU6IFQpOiB2b2lkIHtcbiAgICB0aGlzLmV4cGFuc2lvbk1vZGVsLnRvZ2dsZSh0aGlzLl90cmFja0J5VmFsdWUoZGF0YU5vZGUpKTtcblxuICAgIGlmICh0aGlzLmlzRXhwYW5kZWQoZGF0YU5vZGUpKSB7XG4gICAgICB0aGlzLl9sb2FkQ2hpbGRyZW5PbkZpcnN0RXhwYW5kKGRhdGFOb2RlKTtcbiAgICB9XG4gIH1cblxuICAvKiogRXhwYW5kcyBvbmUgc2luZ2xlIGRhdGEgbm9kZS4gKi9cbiAgZXhwYW5kKGRhdGFOb2RlOiBUKTogdm9pZCB7XG4gICAgdGhpcy5leHBhbnNpb25Nb2RlbC5zZWxlY3QodGhpcy5fdHJhY2tCeVZhbHVlKGRhdGFOb2RlKSk7XG4gICAgdGhpcy5fbG9hZENoaWxkcmVuT25GaXJzdEV4cGFuZChkYXRhTm9kZSk7XG4gIH1cblxuICAvKiogQ29sbGFwc2VzIG9uZSBzaW5nbGUgZGF0YSBub2RlLiAqL1xuICBjb2xsYXBzZShkYXRhTm9kZTogVCk6IHZvaWQge1xuICAgIHRoaXMuZXhwYW5zaW9uTW9kZWwuZGVzZWxlY3QodGhpcy5fdHJhY2tCeVZhbHVlKGRhdGFOb2RlKSk7XG4gIH1cblxuICAvKiogV2hldGhlciBhIGdpdmVuIGRhdGEgbm9kZSBpcyBleHBhbmRlZCBvciBub3QuIFJldHVybnMgdHJ1ZSBpZiB0aGUgZGF0YSBub2RlIGlzIGV4cGFuZGVkLiAqL1xuICBpc0V4cGFuZGVkKGRhdGFOb2RlOiBUKTogYm9vbGVhbiB7XG4gICAgcmV0dXJuIHRoaXMuZXhwYW5zaW9uTW9kZWwuaXNTZWxlY3RlZCh0aGlzLl90cmFja0J5VmFsdWUoZGF0YU5vZGUpKTtcbiAgfVxuXG4gIC8qKiBUb2dnbGVzIGEgc3VidHJlZSByb290ZWQgYXQgYG5vZGVgIHJlY3Vyc2l2ZWx5LiAqL1xuICB0b2dnbGVEZXNjZW5kYW50cyhkYXRhTm9kZTogVCk6IHZvaWQge1xuICAgIHRoaXMuZXhwYW5zaW9uTW9kZWwuaXNTZWxlY3RlZCh0aGlzLl90cmFja0J5VmFsdWUoZGF0YU5vZGUpKSA/XG4gICAgICAgIHRoaXMuY29sbGFwc2VEZXNjZW5kYW50cyhkYXRhTm9kZSkgOlxuICAgICAgICB0aGlzLmV4cGFuZERlc2NlbmRhbnRzKGRhdGFOb2RlKTtcbiAgfVxuXG4gIC8qKiBDb2xsYXBzZSBhbGwgZGF0YU5vZGVzIGluIHRoZSB0cmVlLiAqL1xuICBjb2xsYXBzZUFsbCgpOiB2b2lkIHtcbiAgICB0aGlzLmV4cGFuc2lvbk1vZGVsLmNsZWFyKCk7XG4gIH1cblxuICAvKiogRXhwYW5kcyBhIHN1YnRyZWUgcm9vdGVkIGF0IGdpdmVuIGRhdGEgbm9kZSByZWN1cnNpdmVseS4gKi9cbiAgZXhwYW5kRGVzY2VuZGFudHMoZGF0YU5vZGU6IFQpOiB2b2lkIHtcbiAgICBsZXQgdG9CZVByb2Nlc3NlZCA9IFtkYXRhTm9kZV07XG4gICAgdG9CZVByb2Nlc3NlZC5wdXNoKC4uLnRoaXMuZ2V0RGVzY2VuZGFudHMoZGF0YU5vZGUpKTtcbiAgICB0aGlzLmV4cGFuc2lvbk1vZGVsLnNlbGVjdCguLi50b0JlUHJvY2Vzc2VkLm1hcCh2YWx1ZSA9PiB0aGlzLl90cmFja0J5VmFsdWUodmFsdWUpKSk7XG4gIH1cblxuICAvKiogQ29sbGFwc2VzIGEgc3VidHJlZSByb290ZWQgYXQgZ2l2ZW4gZGF0YSBub2RlIHJlY3Vyc2l2ZWx5LiAqL1xuICBjb2xsYXBzZURlc2NlbmRhbnRzKGRhdGFOb2RlOiBUKTogdm9pZCB7XG4gICAgbGV0IHRvQmVQcm9jZXNzZWQgPSBbZGF0YU5vZGVdO1xuICAgIHRvQmVQcm9jZXNzZWQucHVzaCguLi50aGlzLmdldERlc2NlbmRhbnRzKGRhdGFOb2RlKSk7XG4gICAgdGhpcy5leHBhbnNpb25Nb2RlbC5kZXNlbGVjdCguLi50b0JlUHJvY2Vzc2VkLm1hcCh2YWx1ZSA9PiB0aGlzLl90cmFja0J5VmFsdWUodmFsdWUpKSk7XG4gIH1cblxuICAvKipcbiAgICogR2V0cyB0aGUgc3RhdGUgb2YgdGhlIGxhemlseS1sb2FkZWQgY2hpbGRyZW4gb2YgYSBkYXRhIG5vZGUuIFJldHVybnMgbnVsbCBpZlxuICAgKiBubyBjaGlsZHJlbiBoYXZlIGJlZW4gcmVxdWVzdGVkIGZvciB0aGUgZGF0YSBub2RlIHlldC5cbiAgICovXG4gIGdldENoaWxkcmVuU3RhdGUoZGF0YU5vZGU6IFQpOiBUcmVlTm9kZUNoaWxkcmVuU3RhdGU8VD4gfCBudWxsIHtcbiAgICByZXR1cm4gdGhpcy5fY2hpbGRyZW5TdGF0ZXMuZ2V0KHRoaXMuX3RyYWNrQnlWYWx1ZShkYXRhTm9kZSkpIHx8IG51bGw7XG4gIH1cblxuICAvKipcbiAgICogR2V0cyBhIHN0cmVhbSBvZiB0aGUgbGF6aWx5LWxvYWRlZCBjaGlsZHJlbiBvZiBhIGRhdGEgbm9kZS4gRW1pdHMgdGhlIGNoaWxkcmVuIHRoYXQgaGF2ZVxuICAgKiBiZWVuIGxvYWRlZCBzbyBmYXIgd2hlbmV2ZXIgdGhlIHN0YXRlIG9mIHRoZSBkYXRhIG5vZGUncyBjaGlsZHJlbiBjaGFuZ2VzLlxuICAgKi9cbiAgZ2V0TG9hZGVkQ2hpbGRyZW4oZGF0YU5vZGU6IFQpOiBPYnNlcnZhYmxlPFRbXT4ge1xuICAgIGNvbnN0IGtleSA9IHRoaXMuX3RyYWNrQnlWYWx1ZShkYXRhTm9kZSk7XG5cbiAgICByZXR1cm4gdGhpcy5fY2hpbGRyZW5TdGF0ZUNoYW5nZXMucGlwZShcbiAgICAgIGZpbHRlcihjaGFuZ2VkTm9kZSA9PiB0aGlzLl90cmFja0J5VmFsdWUoY2hhbmdlZE5vZGUpID09PSBrZXkpLFxuICAgICAgc3RhcnRXaXRoKGRhdGFOb2RlKSxcbiAgICAgIG1hcCgoKSA9PiB7XG4gICAgICAgIGNvbnN0IHN0YXRlID0gdGhpcy5fY2hpbGRyZW5TdGF0ZXMuZ2V0KGtleSk7XG4gICAgICAgIHJldHVybiBzdGF0ZSA/IHN0YXRlLmNoaWxkcmVuIDogW107XG4gICAgICB9KVxuICAgICk7XG4gIH1cblxuICAvKipcbiAgICogTG9hZHMgdGhlIG5leHQgYmF0Y2ggb2YgY2hpbGRyZW4gb2YgYSBkYXRhIG5vZGUuIElmIGxvYWRpbmcgdGhlIHByZXZpb3VzXG4gICAqIGJhdGNoIGZhaWxlZCwgdGhlIGZhaWxlZCBiYXRjaCB3aWxsIGJlIHJlcXVlc3RlZCBhZ2Fpbi5cbiAgICovXG4gIGxvYWRNb3JlQ2hpbGRyZW4oZGF0YU5vZGU6IFQpOiB2b2lkIHtcbiAgICBjb25zdCBrZXkgPSB0aGlzLl90cmFja0J5VmFsdWUoZGF0YU5vZGUpO1xuICAgIGNvbnN0IHN0YXRlID0gdGhpcy5fY2hpbGRyZW5TdGF0ZXMuZ2V0KGtleSkgfHxcbiAgICAgICAge2NoaWxkcmVuOiBbXSwgbG9hZGluZzogZmFsc2UsIGVycm9yOiBudWxsLCBoYXNNb3JlOiB0cnVlfTtcblxuICAgIGlmICghdGhpcy5sb2FkQ2hpbGRyZW4gfHwgc3RhdGUubG9hZGluZyB8fCAhc3RhdGUuaGFzTW9yZSkge1xuICAgICAgcmV0dXJuO1xuICAgIH1cblxuICAgIGxldCBoYXNMb2FkZWQgPSBmYWxzZTtcbiAgICB0aGlzLl9zZXRDaGlsZHJlblN0YXRlKGRhdGFOb2RlLCB7Li4uc3RhdGUsIGxvYWRpbmc6IHRydWUsIGVycm9yOiBudWxsfSk7XG5cbiAgICBjb25zdCBiYXRjaFN0cmVhbSA9IHRoaXMubG9hZENoaWxkcmVuKGRhdGFOb2RlLCBzdGF0ZS5jaGlsZHJlbi5sZW5ndGgpLnBpcGUodGFrZSgxKSk7XG4gICAgY29uc3Qgc3Vic2NyaXB0aW9uID0gYmF0Y2hTdHJlYW0uc3Vic2NyaWJlKHtcbiAgICAgIG5leHQ6IHJlc3VsdCA9PiB7XG4gICAgICAgIGNvbnN0IGJhdGNoID0gQXJyYXkuaXNBcnJheShyZXN1bHQpID8ge2NoaWxkcmVuOiByZXN1bHQsIGhhc01vcmU6IGZhbHNlfSA6IHJlc3VsdDtcbiAgICAgICAgaGFzTG9hZGVkID0gdHJ1ZTtcbiAgICAgICAgdGhpcy5fc2V0Q2hpbGRyZW5TdGF0ZShkYXRhTm9kZSwge1xuICAgICAgICAgIGNoaWxkcmVuOiBbLi4uc3RhdGUuY2hpbGRyZW4sIC4uLmJhdGNoLmNoaWxkcmVuXSxcbiAgICAgICAgICBsb2FkaW5nOiBmYWxzZSxcbiAgICAgICAgICBlcnJvcjogbnVsbCxcbiAgICAgICAgICBoYXNNb3JlOiAhIWJhdGNoLmhhc01vcmVcbiAgICAgICAgfSk7XG4gICAgICB9LFxuICAgICAgZXJyb3I6IGVycm9yID0+IHtcbiAgICAgICAgdGhpcy5fY2hpbGRyZW5TdWJzY3JpcHRpb25zLmRlbGV0ZShrZXkpO1xuICAgICAgICB0aGlzLl9zZXRDaGlsZHJlblN0YXRlKGRhdGFOb2RlLCB7Li4uc3RhdGUsIGxvYWRpbmc6IGZhbHNlLCBlcnJvcn0pO1xuICAgICAgfSxcbiAgICAgIGNvbXBsZXRlOiAoKSA9PiB7XG4gICAgICAgIHRoaXMuX2NoaWxkcmVuU3Vic2NyaXB0aW9ucy5kZWxldGUoa2V5KTtcblxuICAgICAgICAvLyBJZiB0aGUgc3RyZWFtIGNvbXBsZXRlZCB3aXRob3V0IGVtaXR0aW5nLCBhc3N1bWUgdGhhdCB0aGVyZSBhcmUgbm8gbW9yZSBjaGlsZHJlbi5cbiAgICAgICAgaWYgKCFoYXNMb2FkZWQpIHtcbiAgICAgICAgICB0aGlzLl9zZXRDaGlsZHJlblN0YXRlKGRhdGFOb2RlLCB7Li4uc3RhdGUsIGxvYWRpbmc6IGZhbHNlLCBoYXNNb3JlOiBmYWxzZX0pO1xuICAgICAgICB9XG4gICAgICB9XG4gICAgfSk7XG5cbiAgICAvLyBUaGUgbG9hZGVyIG1pZ2h0IGhhdmUgZW1pdHRlZCBzeW5jaHJvbm91c2x5IGluIHdoaWNoIGNhc2UgdGhlIHN1YnNjcmlwdGlvbiBpcyBhbHJlYWR5IGRvbmUuXG4gICAgaWYgKCFzdWJzY3JpcHRpb24uY2xvc2VkKSB7XG4gICAgICB0aGlzLl9jaGlsZHJlblN1YnNjcmlwdGlvbnMuc2V0KGtleSwgc3Vic2NyaXB0aW9uKTtcbiAgICB9XG4gIH1cblxuICAvKiogUmV0cmllcyBsb2FkaW5nIHRoZSBjaGlsZHJlbiBvZiBhIGRhdGEgbm9kZSBpZiBsb2FkaW5nIHRoZSBsYXN0IGJhdGNoIGZhaWxlZC4gKi9cbiAgcmV0cnlMb2FkaW5nQ2hpbGRyZW4oZGF0YU5vZGU6IFQpOiB2b2lkIHtcbiAgICBjb25zdCBzdGF0ZSA9IHRoaXMuZ2V0Q2hpbGRyZW5TdGF0ZShkYXRhTm9kZSk7XG5cbiAgICBpZiAoc3RhdGUgJiYgc3RhdGUuZXJyb3IpIHtcbiAgICAgIHRoaXMubG9hZE1vcmVDaGlsZHJlbihkYXRhTm9kZSk7XG4gICAgfVxuICB9XG5cbiAgLyoqIERpc2NhcmRzIHRoZSBsYXppbHktbG9hZGVkIGNoaWxkcmVuIG9mIGEgZGF0YSBub2RlIGFuZCBsb2FkcyB0aGVtIGFnYWluIGZyb20gdGhlIHN0YXJ0LiAqL1xuICByZWxvYWRDaGlsZHJlbihkYXRhTm9kZTogVCk6IHZvaWQge1xuICAgIGNvbnN0IGtleSA9IHRoaXMuX3RyYWNrQnlWYWx1ZShkYXRhTm9kZSk7XG4gICAgdGhpcy5fY2hpbGRyZW5TdWJzY3JpcHRpb25zLmdldChrZXkpPy51bnN1YnNjcmliZSgpO1xuICAgIHRoaXMuX2NoaWxkcmVuU3Vic2NyaXB0aW9ucy5kZWxldGUoa2V5KTtcbiAgICB0aGlzLl9jaGlsZHJlblN0YXRlcy5kZWxldGUoa2V5KTtcbiAgICB0aGlzLmxvYWRNb3JlQ2hpbGRyZW4oZGF0YU5vZGUpO1xuICB9XG5cbiAgLyoqIExvYWRzIHRoZSBmaXJzdCBiYXRjaCBvZiBjaGlsZHJlbiBvZiBhIGRhdGEgbm9kZSwgdW5sZXNzIGl0IGhhcyBiZWVuIGxvYWRlZCBhbHJlYWR5LiAqL1xuICBwcml2YXRlIF9sb2FkQ2hpbGRyZW5PbkZpcnN0RXhwYW5kKGRhdGFOb2RlOiBUKSB7XG4gICAgaWYgKHRoaXMubG9hZENoaWxkcmVuICYmICF0aGlzLl9jaGlsZHJlblN0YXRlcy5oYXModGhpcy5fdHJhY2tCeVZhbHVlKGRhdGFOb2RlKSkpIHtcbiAgICAgIHRoaXMubG9hZE1vcmVDaGlsZHJlbihkYXRhTm9kZSk7XG4gICAgfVxuICB9XG5cbiAgLyoqIFVwZGF0ZXMgdGhlIHN0YXRlIG9mIHRoZSBsYXppbHktbG9hZGVkIGNoaWxkcmVuIG9mIGEgZGF0YSBub2RlLiAqL1xuICBwcml2YXRlIF9zZXRDaGlsZHJlblN0YXRlKGRhdGFOb2RlOiBULCBzdGF0ZTogVHJlZU5vZGVDaGlsZHJlblN0YXRlPFQ+KSB7XG4gICAgdGhpcy5fY2hpbGRyZW5TdGF0ZXMuc2V0KHRoaXMuX3RyYWNrQnlWYWx1ZShkYXRhTm9kZSksIHN0YXRlKTtcbiAgICB0aGlzLl9jaGlsZHJlblN0YXRlQ2hhbmdlcy5uZXh0KGRhdGFOb2RlKTtcbiAgfVxuXG4gIHByb3RlY3RlZCBfdHJhY2tCeVZhbHVlKHZhbHVlOiBUfEspOiBLIHtcbiAgICByZXR1cm4gdGhpcy50cmFja0J5ID8gdGhpcy50cmFja0J5KHZhbHVlIGFzIFQpIDogdmFsdWUgYXMgSztcbiAgfVxufVxuIl19
\ No newline at end of file
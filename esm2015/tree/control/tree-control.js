@@ -1,2 +1,2 @@
 export {};
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoidHJlZS1jb250cm9sLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiLi4vLi4vLi4vLi4vLi4vLi4vLi4vc3JjL2Nkay90cmVlL2NvbnRyb2wvdHJlZS1jb250cm9sLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiIiLCJzb3VyY2VzQ29udGVudCI6WyIvKipcbiAqIEBsaWNlbnNlXG4gKiBDb3B5cmlnaHQgR29vZ2xlIExMQyBBbGwgUmlnaHRzIFJlc2VydmVkLlxuICpcbiAqIFVzZSBvZiB0aGlzIHNvdXJjZSBjb2RlIGlzIGdvdmVybmVkIGJ5IGFuIE1JVC1zdHlsZSBsaWNlbnNlIHRoYXQgY2FuIGJlXG4gKiBmb3VuZCBpbiB0aGUgTElDRU5TRSBmaWxlIGF0IGh0dHBzOi8vYW5ndWxhci5pby9saWNlbnNlXG4gKi9cbmltcG9ydCB7U2VsZWN0aW9uTW9kZWx9IGZyb20gJ0Bhbmd1bGFyL2Nkay9jb2xsZWN0aW9ucyc7XG5pbXBvcnQge09ic2VydmFibGV9IGZyb20gJ3J4anMnO1xuXG4vKipcbiAqIFRyZWUgY29udHJvbCBpbnRlcmZhY2UuIFVzZXIgY2FuIGltcGxlbWVudCBUcmVlQ29udHJvbCB0byBleHBhbmQvY29sbGFwc2UgZGF0YU5vZGVzIGluIHRoZSB0cmVlLlxuICogVGhlIENES1RyZWUgd2lsbCB1c2UgdGhpcyBUcmVlQ29udHJvbCB0byBleHBhbmQvY29sbGFwc2UgYSBub2RlLlxuICogVXNlciBjYW4gYWxzbyB1c2UgaXQgb3V0c2lkZSB0aGUgYDxjZGstdHJlZT5gIHRvIGNvbnRyb2wgdGhlIGV4cGFuc2lvbiBzdGF0dXMgb2YgdGhlIHRyZWUuXG4gKi9cbmV4cG9ydCBpbnRlcmZhY2UgVHJlZUNvbnRyb2w8VCwgSyA9IFQ+IHtcbiAgLyoqIFRoZSBzYXZlZCB0cmVlIG5vZGVzIGRhdGEgZm9yIGBleHBhbmRBbGxgIGFjdGlvbi4gKi9cbiAgZGF0YU5vZGVzOiBUW107XG5cbiAgLyoqIFRoZSBleHBhbnNpb24gbW9kZWwgKi9cbiAgZXhwYW5zaW9uTW9kZWw6IFNlbGVjdGlvbk1vZGVsPEs+O1xuXG4gIC8qKiBXaGV0aGVyIHRoZSBkYXRhIG5vZGUgaXMgZXhwYW5kZWQgb3IgY29sbGFwc2VkLiBSZXR1cm4gdHJ1ZSBpZiBpdCdzIGV4cGFuZGVkLiAqL1xuICBpc0V4cGFuZGVkKGRhdGFOb2RlOiBUKTogYm9vbGVhbjtcblxuICAvKiogR2V0IGFsbCBkZXNjZW5kYW50cyBvZiBhIGRhdGEgbm9kZSAqL1xuICBnZXREZXNjZW5kYW50cyhkYXRhTm9kZTogVCk6IGFueVtdO1xuXG4gIC8qKiBFeHBhbmQgb3IgY29sbGFwc2UgZGF0YSBub2RlICovXG4gIHRvZ2dsZShkYXRhTm9kZTogVCk6IHZvaWQ7XG5cbiAgLyoqIEV4cGFuZCBvbmUgZGF0YSBub2RlICovXG4gIGV4cGFuZChkYXRhTm9kZTogVCk6IHZvaWQ7XG5cbiAgLyoqIENvbGxhcHNlIG9uZSBkYXRhIG5vZGUgKi9cbiAgY29sbGFwc2UoZGF0YU5vZGU6IFQpOiB2b2lkO1xuXG4gIC8qKiBFeHBhbmQgYWxsIHRoZSBkYXRhTm9kZXMgaW4gdGhlIHRyZWUgKi9cbiAgZXhwYW5kQWxsKCk6IHZvaWQ7XG5cbiAgLyoqIENvbGxhcHNlIGFsbCB0aGUgZGF0YU5vZGVzIGluIHRoZSB0cmVlICovXG4gIGNvbGxhcHNlQWxsKCk6IHZvaWQ7XG5cbiAgLyoqIFRvZ2dsZSBhIGRhdGEgbm9kZSBieSBleHBhbmQvY29sbGFwc2UgaXQgYW5kIGFsbCBpdHMgZGVzY2VuZGFudHMgKi9cbiAgdG9nZ2xlRGVzY2VuZGFudHMoZGF0YU5vZGU6IFQpOiB2b2lkO1xuXG4gIC8qKiBFeHBhbmQgYSBkYXRhIG5vZGUgYW5kIGFsbCBpdHMgZGVzY2VuZGFudHMgKi9cbiAgZXhwYW5kRGVzY2VuZGFudHMoZGF0YU5vZGU6IFQpOiB2b2lkO1xuXG4gIC8qKiBDb2xsYXBzZSBhIGRhdGEgbm9kZSBhbmQgYWxsIGl0cyBkZXNjZW5kYW50cyAqL1xuICBjb2xsYXBzZURlc2NlbmRhbnRzKGRhdGFOb2RlOiBUKTogdm9pZDtcblxuICAvKiogR2V0IGRlcHRoIG9mIGEgZ2l2ZW4gZGF0YSBub2RlLCByZXR1cm4gdGhlIGxldmVsIG51bWJlci4gVGhpcyBpcyBmb3IgZmxhdCB0cmVlIG5vZGUuICovXG4gIHJlYWRvbmx5IGdldExldmVsOiAoZGF0YU5vZGU6IFQpID0+IG51bWJlcjtcblxuICAvKipcbiAgICogV2hldGhlciB0aGUgZGF0YSBub2RlIGlzIGV4cGFuZGFibGUuIFJldHVybnMgdHJ1ZSBpZiBleHBhbmRhYmxlLlxuICAgKiBUaGlzIGlzIGZvciBmbGF0IHRyZWUgbm9kZS5cbiAgICovXG4gIHJlYWRvbmx5IGlzRXhwYW5kYWJsZTogKGRhdGFOb2RlOiBUKSA9PiBib29sZWFuO1xuXG4gIC8qKiBHZXRzIGEgc3RyZWFtIHRoYXQgZW1pdHMgd2hlbmV2ZXIgdGhlIGdpdmVuIGRhdGEgbm9kZSdzIGNoaWxkcmVuIGNoYW5nZS4gKi9cbiAgcmVhZG9ubHkgZ2V0Q2hpbGRyZW46IChkYXRhTm9kZTogVCkgPT4gT2JzZXJ2YWJsZTxUW10+IHwgVFtdIHwgdW5kZWZpbmVkIHwgbnVsbDtcbn1cbiJdfQ==
\ No newline at end of file
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoidHJlZS1jb250cm9sLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiLi4vLi4vLi4vLi4vLi4vLi4vLi4vc3JjL2Nkay90cmVlL2NvbnRyb2wvdHJlZS1jb250cm9sLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiIiLCJzb3VyY2VzQ29udGVudCI6WyIvKipcbiAqIEBsaWNlbnNlXG4gKiBDb3B5cmlnaHQgR29vZ2xlIExMQyBBbGwgUmlnaHRzIFJlc2VydmVkLlxuICpcbiAqIFVzZSBvZiB0aGlzIHNvdXJjZSBjb2RlIGlzIGdvdmVybmVkIGJ5IGFuIE1JVC1zdHlsZSBsaWNlbnNlIHRoYXQgY2FuIGJlXG4gKiBmb3VuZCBpbiB0aGUgTElDRU5TRSBmaWxlIGF0IGh0dHBzOi8vYW5ndWxhci5pby9saWNlbnNlXG4gKi9cbmltcG9ydCB7U2VsZWN0aW9uTW9kZWx9IGZyb20gJ0Bhbmd1bGFyL2Nkay9jb2xsZWN0aW9ucyc7XG5pbXBvcnQge09ic2VydmFibGV9IGZyb20gJ3J4anMnO1xuXG4vKiogU3RhdGUgb2YgdGhlIGxhemlseS1sb2FkZWQgY2hpbGRyZW4gb2YgYSBkYXRhIG5vZGUuICovXG5leHBvcnQgaW50ZXJmYWNlIFRyZWVOb2RlQ2hpbGRyZW5TdGF0ZTxUPiB7XG4gIC8qKiBDaGlsZHJlbiB0aGF0IGhhdmUgYmVlbiBsb2FkZWQgc28gZmFyLiAqL1xuICBjaGlsZHJlbjogVFtdO1xuXG4gIC8qKiBXaGV0aGVyIGEgYmF0Y2ggb2YgY2hpbGRyZW4gaXMgY3VycmVudGx5IGJlaW5nIGxvYWRlZC4gKi9cbiAgbG9hZGluZzogYm9vbGVhbjtcblxuICAvKiogRXJyb3IgdGhhdCB3YXMgdGhyb3duIHdoaWxlIGxvYWRpbmcgdGhlIGxhc3QgYmF0Y2ggb2YgY2hpbGRyZW4sIGlmIGFueS4gKi9cbiAgZXJyb3I6IGFueTtcblxuICAvKiogV2hldGhlciB0aGVyZSBhcmUgbW9yZSBjaGlsZHJlbiB0aGF0IGNhbiBiZSBsb2FkZWQuICovXG4gIGhhc01vcmU6IGJvb2xlYW47XG59XG5cbi8qKiBCYXRjaCBvZiBjaGlsZHJlbiB0aGF0IHdhcyBsb2FkZWQgbGF6aWx5IGZvciBhIGRhdGEgbm9kZS4gKi9cbmV4cG9ydCBpbnRlcmZhY2UgVHJlZUNoaWxkcmVuQmF0Y2g8VD4ge1xuICAvKiogQ2hpbGRyZW4gdGhhdCB3ZXJlIGxvYWRlZC4gKi9cbiAgY2hpbGRyZW46IFRbXTtcblxuICAvKiogV2hldGhlciB0aGVyZSBhcmUgbW9yZSBjaGlsZHJlbiB0aGF0IGNhbiBiZSBsb2FkZWQgYWZ0ZXIgdGhpcyBiYXRjaC4gKi9cbiAgaGFzTW9yZT86IGJvb2xlYW47XG59XG5cbi8qKlxuICogRnVuY3Rpb24gdXNlZCB0byBsYXppbHkgbG9hZCBhIGJhdGNoIG9mIGNoaWxkcmVuIG9mIGEgZGF0YSBub2RlLCBzdGFydGluZyBmcm9tIGBvZmZzZXRgLlxuICogUmV0dXJuaW5nIGFuIGFycmF5LCByYXRoZXIgdGhhbiBhIGBUcmVlQ2hpbGRyZW5CYXRjaGAsIGluZGljYXRlcyB0aGF0IGFsbCBjaGlsZHJlbiB3ZXJlIGxvYWRlZC5cbiAqL1xuZXhwb3J0IHR5cGUgVHJlZUNoaWxkcmVuTG9hZGVyPFQ+ID1cbiAgICAoZGF0YU5vZGU6IFQsIG9mZnNldDogbnVtYmVyKSA9PiBPYnNlcnZhYmxlPFRyZWVDaGlsZHJlbkJhdGNoPFQ+IHwgVFtdPjtcblxuLyoqXG4gKiBUcmVlIGNvbnRyb2wgaW50ZXJmYWNlLiBVc2VyIGNhbiBpbXBsZW1lbnQgVHJlZUNvbnRyb2wgdG8gZXhwYW5kL2NvbGxhcHNlIGRhdGFOb2RlcyBpbiB0aGUgdHJlZS5cbiAqIFRoZSBDREtUcmVlIHdpbGwgdXNlIHRoaXMgVHJlZUNvbnRyb2wgdG8gZXhwYW5kL2NvbGxhcHNlIGEgbm9kZS5cbiAqIFVzZXIgY2FuIGFsc28gdXNlIGl0IG91dHNpZGUgdGhlIGA8Y2RrLXRyZWU+YCB0byBjb250cm9sIHRoZSBleHBhbnNpb24gc3RhdHVzIG9mIHRoZSB0cmVlLlxuICovXG5leHBvcnQgaW50ZXJmYWNlIFRyZWVDb250cm9sPFQsIEsgPSBUPiB7XG4gIC8qKiBUaGUgc2F2ZWQgdHJlZSBub2RlcyBkYXRhIGZvciBgZXhwYW5kQWxsYCBhY3Rpb24uICovXG4gIGRhdGFOb2RlczogVFtdO1xuXG4gIC8qKiBUaGUgZXhwYW5zaW9uIG1vZGVsICovXG4gIGV4cGFuc2lvbk1vZGVsOiBTZWxlY3Rpb25Nb2RlbDxLPjtcblxuICAvKiogV2hldGhlciB0aGUgZGF0YSBub2RlIGlzIGV4cGFuZGVkIG9yIGNvbGxhcHNlZC4gUmV0dXJuIHRydWUgaWYgaXQncyBleHBhbmRlZC4gKi9cbiAgaXNFeHBhbmRlZChkYXRhTm9kZTogVCk6IGJvb2xlYW47XG5cbiAgLyoqIEdldCBhbGwgZGVzY2VuZGFudHMgb2YgYSBkYXRhIG5vZGUgKi9cbiAgZ2V0RGVzY2VuZGFudHMoZGF0YU5vZGU6IFQpOiBhbnlbXTtcblxuICAvKiogRXhwYW5kIG9yIGNvbGxhcHNlIGRhdGEgbm9kZSAqL1xuICB0b2dnbGUoZGF0YU5vZGU6IFQpOiB2b2lkO1xuXG4gIC8qKiBFeHBhbmQgb25lIGRhdGEgbm9kZSAqL1xuICBleHBhbmQoZGF0YU5vZGU6IFQpOiB2b2lkO1xuXG4gIC8qKiBDb2xsYXBzZSBvbmUgZGF0YSBub2RlICovXG4gIGNvbGxhcHNlKGRhdGFOb2RlOiBUKTogdm9pZDtcblxuICAvKiogRXhwYW5kIGFsbCB0aGUgZGF0YU5vZGVzIGluIHRoZSB0cmVlICovXG4gIGV4cGFuZEFsbCgpOiB2b2lkO1xuXG4gIC8qKiBDb2xsYXBzZSBhbGwgdGhlIGRhdGFOb2RlcyBpbiB0aGUgdHJlZSAqL1xuICBjb2xsYXBzZUFsbCgpOiB2b2lkO1xuXG4gIC8qKiBUb2dnbGUgYSBkYXRhIG5vZGUgYnkgZXhwYW5kL2NvbGxhcHNlIGl0IGFuZCBhbGwgaXRzIGRlc2NlbmRhbnRzICovXG4gIHRvZ2dsZURlc2NlbmRhbnRzKGRhdGFOb2RlOiBUKTogdm9pZDtcblxuICAvKiogRXhwYW5kIGEgZGF0YSBub2RlIGFuZCBhbGwgaXRzIGRlc2NlbmRhbnRzICovXG4gIGV4cGFuZERlc2NlbmRhbnRzKGRhdGFOb2RlOiBUKTogdm9pZDtcblxuICAvKiogQ29sbGFwc2UgYSBkYXRhIG5vZGUgYW5kIGFsbCBpdHMgZGVzY2VuZGFudHMgKi9cbiAgY29sbGFwc2VEZXNjZW5kYW50cyhkYXRhTm9kZTogVCk6IHZvaWQ7XG5cbiAgLyoqIEdldCBkZXB0aCBvZiBhIGdpdmVuIGRhdGEgbm9kZSwgcmV0dXJuIHRoZSBsZXZlbCBudW1iZXIuIFRoaXMgaXMgZm9yIGZsYXQgdHJlZSBub2RlLiAqL1xuICByZWFkb25seSBnZXRMZXZlbDogKGRhdGFOb2RlOiBUKSA9PiBudW1iZXI7XG5cbiAgLyoqXG4gICAqIFdoZXRoZXIgdGhlIGRhdGEgbm9kZSBpcyBleHBhbmRhYmxlLiBSZXR1cm5zIHRydWUgaWYgZXhwYW5kYWJsZS5cbiAgICogVGhpcyBpcyBmb3IgZmxhdCB0cmVlIG5vZGUuXG4gICAqL1xuICByZWFkb25seSBpc0V4cGFuZGFibGU6IChkYXRhTm9kZTogVCkgPT4gYm9vbGVhbjtcblxuICAvKiogR2V0cyBhIHN0cmVhbSB0aGF0IGVtaXRzIHdoZW5ldmVyIHRoZSBnaXZlbiBkYXRhIG5vZGUncyBjaGlsZHJlbiBjaGFuZ2UuICovXG4gIHJlYWRvbmx5IGdldENoaWxkcmVuOiAoZGF0YU5vZGU6IFQpID0+IE9ic2VydmFibGU8VFtdPiB8IFRbXSB8IHVuZGVmaW5lZCB8IG51bGw7XG5cbiAgLyoqIEZ1bmN0aW9uIHVzZWQgdG8gbGF6aWx5IGxvYWQgdGhlIGNoaWxkcmVuIG9mIGEgZGF0YSBub2RlIHdoZW4gaXQgaXMgZXhwYW5kZWQuICovXG4gIGxvYWRDaGlsZHJlbj86IFRyZWVDaGlsZHJlbkxvYWRlcjxUPjtcblxuICAvKiogU3RyZWFtIHRoYXQgZW1pdHMgYSBkYXRhIG5vZGUgd2hlbmV2ZXIgdGhlIHN0YXRlIG9mIGl0cyBsYXppbHktbG9hZGVkIGNoaWxkcmVuIGNoYW5nZXMuICovXG4gIHJlYWRvbmx5IGNoaWxkcmVuU3RhdGVDaGFuZ2VzPzogT2JzZXJ2YWJsZTxUPjtcblxuICAvKiogR2V0cyB0aGUgc3RhdGUgb2YgdGhlIGxhemlseS1sb2FkZWQgY2hpbGRyZW4gb2YgYSBkYXRhIG5vZGUuICovXG4gIGdldENoaWxkcmVuU3RhdGU/KGRhdGFOb2RlOiBUKTogVHJlZU5vZGVDaGlsZHJlblN0YXRlPFQ+IHwgbnVsbDtcbn1cbiJdfQ==
\ No newline at end of file
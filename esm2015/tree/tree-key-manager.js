@@ -0,0 +1,167 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { FocusKeyManager } from '@angular/cdk/a11y';
+import { hasModifierKey, LEFT_ARROW, RIGHT_ARROW } from '@angular/cdk/keycodes';
+import { QueryList } from '@angular/core';
+import { map } from 'rxjs/operators';
+/**
+ * Manages keyboard navigation within a tree, following the WAI-ARIA tree view pattern. Up and
+ * down arrows move between the visible items, right arrow expands an item or moves to its first
+ * child, left arrow collapses an item or moves to its parent and `*` expands all of the siblings
+ * of the active item. Supports Home/End and type-ahead through an underlying `FocusKeyManager`.
+ * The items have to be provided in the order in which they appear in the tree.
+ */
+export class TreeKeyManager {
+    constructor(_items) {
+        this._items = _items;
+        /** Items whose ancestors are all expanded. Kept in sync with the list of all items. */
+        this._visibleItems = [];
+        /** Key manager that handles the navigation between the visible items. */
+        this._keyManager = new FocusKeyManager(this._visibleItems)
+            .withVerticalOrientation()
+            .withHomeAndEnd();
+        /** Text direction of the tree. Determines which horizontal key expands an item. */
+        this._direction = 'ltr';
+        /** Stream that emits whenever the active item changes. */
+        this.change = this._keyManager.change.pipe(map(index => this._visibleItems[index]));
+    }
+    /**
+     * Turns on type-ahead mode which allows users to set the active item by typing.
+     * @param debounceInterval Time to wait after the last keystroke before setting the active item.
+     */
+    withTypeAhead(debounceInterval) {
+        this._keyManager.withTypeAhead(debounceInterval);
+        return this;
+    }
+    /**
+     * Configures the direction of the tree. In a right-to-left tree the left arrow
+     * expands items and the right arrow collapses them.
+     * @param direction Direction in which the tree is laid out.
+     */
+    withHorizontalOrientation(direction) {
+        this._direction = direction;
+        return this;
+    }
+    /** The active item. */
+    get activeItem() {
+        return this._keyManager.activeItem;
+    }
+    /** Sets the active item and focuses it. */
+    setActiveItem(item) {
+        this._updateVisibleItems();
+        this._keyManager.setActiveItem(item);
+    }
+    /**
+     * Sets the active item without focusing it or emitting through the `change` stream. Useful
+     * for keeping the key manager in sync when an item received focus through other means.
+     */
+    updateActiveItem(item) {
+        this._updateVisibleItems();
+        this._keyManager.updateActiveItem(item);
+    }
+    /** Sets the active item depending on the key event passed in. */
+    onKeydown(event) {
+        this._updateVisibleItems();
+        const keyCode = event.keyCode;
+        const expandKey = this._direction === 'rtl' ? LEFT_ARROW : RIGHT_ARROW;
+        const collapseKey = this._direction === 'rtl' ? RIGHT_ARROW : LEFT_ARROW;
+        const activeItem = this.activeItem;
+        if (keyCode === expandKey || keyCode === collapseKey) {
+            if (hasModifierKey(event)) {
+                return;
+            }
+            if (!activeItem) {
+                this._keyManager.setFirstItemActive();
+            }
+            else if (keyCode === expandKey) {
+                this._expandOrFocusFirstChild(activeItem);
+            }
+            else {
+                this._collapseOrFocusParent(activeItem);
+            }
+        }
+        else if (event.key === '*' && activeItem) {
+            this._expandSiblings(activeItem);
+        }
+        else {
+            this._keyManager.onKeydown(event);
+            return;
+        }
+        event.preventDefault();
+    }
+    /** Expands the item if it's collapsed, otherwise moves focus to its first child. */
+    _expandOrFocusFirstChild(item) {
+        if (!item.isExpandable) {
+            return;
+        }
+        if (!item.isExpanded) {
+            item.expand();
+        }
+        else {
+            const nextItem = this._visibleItems[this._visibleItems.indexOf(item) + 1];
+            if (nextItem && nextItem.level > item.level) {
+                this._keyManager.setActiveItem(nextItem);
+            }
+        }
+    }
+    /** Collapses the item if it's expanded, otherwise moves focus to its parent. */
+    _collapseOrFocusParent(item) {
+        if (item.isExpandable && item.isExpanded) {
+            item.collapse();
+        }
+        else {
+            const parent = this._getParent(item);
+            if (parent) {
+                this._keyManager.setActiveItem(parent);
+            }
+        }
+    }
+    /** Expands all of the siblings of the specified item, including the item itself. */
+    _expandSiblings(item) {
+        const parent = this._getParent(item);
+        this._getItemsArray().forEach(sibling => {
+            if (sibling.level === item.level && sibling.isExpandable && !sibling.isExpanded &&
+                this._getParent(sibling) === parent) {
+                sibling.expand();
+            }
+        });
+    }
+    /** Gets the parent of an item. Relies on the items being in the same order as in the tree. */
+    _getParent(item) {
+        const items = this._getItemsArray();
+        for (let i = items.indexOf(item) - 1; i > -1; i--) {
+            if (items[i].level < item.level) {
+                return items[i];
+            }
+        }
+        return null;
+    }
+    /** Updates the list of visible items based on the expanded state of their ancestors. */
+    _updateVisibleItems() {
+        const ancestors = [];
+        this._visibleItems.length = 0;
+        for (const item of this._getItemsArray()) {
+            const level = item.level;
+            ancestors.length = Math.min(ancestors.length, level);
+            if (ancestors.every(ancestor => ancestor.isExpanded)) {
+                this._visibleItems.push(item);
+            }
+            ancestors[level] = item;
+        }
+        // Sync up the active item's index since the visible items might have changed.
+        const activeItem = this._keyManager.activeItem;
+        if (activeItem) {
+            this._keyManager.updateActiveItem(activeItem);
+        }
+    }
+    /** Gets the list of all items as an array. */
+    _getItemsArray() {
+        return this._items instanceof QueryList ? this._items.toArray() : this._items;
+    }
+}
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoidHJlZS1rZXktbWFuYWdlci5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbIi4uLy4uLy4uLy4uLy4uLy4uL3NyYy9jZGsvdHJlZS90cmVlLWtleS1tYW5hZ2VyLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBOzs7Ozs7R0FNRztBQUVILE9BQU8sRUFBa0IsZUFBZSxFQUFDLE1BQU0sbUJBQW1CLENBQUM7QUFDbkUsT0FBTyxFQUFDLGNBQWMsRUFBRSxVQUFVLEVBQUUsV0FBVyxFQUFDLE1BQU0sdUJBQXVCLENBQUM7QUFDOUUsT0FBTyxFQUFDLFNBQVMsRUFBQyxNQUFNLGVBQWUsQ0FBQztBQUV4QyxPQUFPLEVBQUMsR0FBRyxFQUFDLE1BQU0sZ0JBQWdCLENBQUM7QUFvQm5DOzs7Ozs7R0FNRztBQUNILE1BQU0sT0FBTyxjQUFjO0lBZ0J6QixZQUFvQixNQUEwQjtRQUExQixXQUFNLEdBQU4sTUFBTSxDQUFvQjtRQWY5Qyx1RkFBdUY7UUFDL0Usa0JBQWEsR0FBUSxFQUFFLENBQUM7UUFFaEMseUVBQXlFO1FBQ2pFLGdCQUFXLEdBQUcsSUFBSSxlQUFlLENBQUksSUFBSSxDQUFDLGFBQWEsQ0FBQzthQUMzRCx1QkFBdUIsRUFBRTthQUN6QixjQUFjLEVBQUUsQ0FBQztRQUV0QixtRkFBbUY7UUFDM0UsZUFBVSxHQUFrQixLQUFLLENBQUM7UUFFMUMsMERBQTBEO1FBQ2pELFdBQU0sR0FDWCxJQUFJLENBQUMsV0FBVyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLGFBQWEsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFFekIsQ0FBQztJQUVsRDs7O09BR0c7SUFDSCxhQUFhLENBQUMsZ0JBQXlCO1FBQ3JDLElBQUksQ0FBQyxXQUFXLENBQUMsYUFBYSxDQUFDLGdCQUFnQixDQUFDLENBQUM7UUFDakQsT0FBTyxJQUFJLENBQUM7SUFDZCxDQUFDO0lBRUQ7Ozs7T0FJRztJQUNILHlCQUF5QixDQUFDLFNBQXdCO1FBQ2hELElBQUksQ0FBQyxVQUFVLEdBQUcsU0FBUyxDQUFDO1FBQzVCLE9BQU8sSUFBSSxDQUFDO0lBQ2QsQ0FBQztJQUVELHVCQUF1QjtJQUN2QixJQUFJLFVBQVU7UUFDWixPQUFPLElBQUksQ0FBQyxXQUFXLENBQUMsVUFBVSxDQUFDO0lBQ3JDLENBQUM7SUFFRCwyQ0FBMkM7SUFDM0MsYUFBYSxDQUFDLElBQU87UUFDbkIsSUFBSSxDQUFDLG1CQUFtQixFQUFFLENBQUM7UUFDM0IsSUFBSSxDQUFDLFdBQVcsQ0FBQyxhQUFhLENBQUMsSUFBSSxDQUFDLENBQUM7SUFDdkMsQ0FBQztJQUVEOzs7T0FHRztJQUNILGdCQUFnQixDQUFDLElBQU87UUFDdEIsSUFBSSxDQUFDLG1CQUFtQixFQUFFLENBQUM7UUFDM0IsSUFBSSxDQUFDLFdBQVcsQ0FBQyxnQkFBZ0IsQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUMxQyxDQUFDO0lBRUQsaUVBQWlFO0lBQ2pFLFNBQVMsQ0FBQyxLQUFvQjtRQUM1QixJQUFJLENBQUMsbUJBQW1CLEVBQUUsQ0FBQztRQUUzQixNQUFNLE9BQU8sR0FBRyxLQUFLLENBQUMsT0FBTyxDQUFDO1FBQzlCLE1BQU0sU0FBUyxHQUFHLElBQUksQ0FBQyxVQUFVLEtBQUssS0FBSyxDQUFDLENBQUMsQ0FBQyxVQUFVLENBQUMsQ0FBQyxDQUFDLFdBQVcsQ0FBQztRQUN2RSxNQUFNLFdBQVcsR0FBRyxJQUFJLENBQUMsVUFBVSxLQUFLLEtBQUssQ0FBQyxDQUFDLENBQUMsV0FBVyxDQUFDLENBQUMsQ0FBQyxVQUFVLENBQUM7UUFDekUsTUFBTSxVQUFVLEdBQUcsSUFBSSxDQUFDLFVBQVUsQ0FBQztRQUVuQyxJQUFJLE9BQU8sS0FBSyxTQUFTLElBQUksT0FBTyxLQUFLLFdBQVcsRUFBRTtZQUNwRCxJQUFJLGNBQWMsQ0FBQyxLQUFLLENBQUMsRUFBRTtnQkFDekIsT0FBTzthQUNSO1lBRUQsSUFBSSxDQUFDLFVBQVUsRUFBRTtnQkFDZixJQUFJLENBQUMsV0FBVyxDQUFDLGtCQUFrQixFQUFFLENBQUM7YUFDdkM7aUJBQU0sSUFBSSxPQUFPLEtBQUssU0FBUyxFQUFFO2dCQUNoQyxJQUFJLENBQUMsd0JBQXdCLENBQUMsVUFBVSxDQUFDLENBQUM7YUFDM0M7aUJBQU07Z0JBQ0wsSUFBSSxDQUFDLHNCQUFzQixDQUFDLFVBQVUsQ0FBQyxDQUFDO2FBQ3pDO1NBQ0Y7YUFBTSxJQUFJLEtBQUssQ0FBQyxHQUFHLEtBQUssR0FBRyxJQUFJLFVBQVUsRUFBRTtZQUMxQyxJQUFJLENBQUMsZUFBZSxDQUFDLFVBQVUsQ0FBQyxDQUFDO1NBQ2xDO2FBQU07WUFDTCxJQUFJLENBQUMsV0FBVyxDQUFDLFNBQVMsQ0FBQyxLQUFLLENBQUMsQ0FBQztZQUNsQyxPQUFPO1NBQ1I7UUFFRCxLQUFLLENBQUMsY0FBYyxFQUFFLENBQUM7SUFDekIsQ0FBQztJQUVELG9GQUFvRjtJQUM1RSx3QkFBd0IsQ0FBQyxJQUFPO1FBQ3RDLElBQUksQ0FBQyxJQUFJLENBQUMsWUFBWSxFQUFFO1lBQ3RCLE9BQU87U0FDUjtRQUVELElBQUksQ0FBQyxJQUFJLENBQUMsVUFBVSxFQUFFO1lBQ3BCLElBQUksQ0FBQyxNQUFNLEVBQUUsQ0FBQztTQUNmO2FBQU07WUFDTCxNQUFNLFFBQVEsR0FBRyxJQUFJLENBQUMsYUFBYSxDQUFDLElBQUksQ0FBQyxhQUFhLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDO1lBRTFFLElBQUksUUFBUSxJQUFJLFFBQVEsQ0FBQyxLQUFLLEdBQUcsSUFBSSxDQUFDLEtBQUssRUFBRTtnQkFDM0MsSUFBSSxDQUFDLFdBQVcsQ0FBQyxhQUFhLENBQUMsUUFBUSxDQUFDLENBQUM7YUFDMUM7U0FDRjtJQUNILENBQUM7SUFFRCxnRkFBZ0Y7SUFDeEUsc0JBQXNCLENBQUMsSUFBTztRQUNwQyxJQUFJLElBQUksQ0FBQyxZQUFZLElBQUksSUFBSSxDQUFDLFVBQVUsRUFBRTtZQUN4QyxJQUFJLENBQUMsUUFBUSxFQUFFLENBQUM7U0FDakI7YUFBTTtZQUNMLE1BQU0sTUFBTSxHQUFHLElBQUksQ0FBQyxVQUFVLENBQUMsSUFBSSxDQUFDLENBQUM7WUFFckMsSUFBSSxNQUFNLEVBQUU7Z0JBQ1YsSUFBSSxDQUFDLFdBQVcsQ0FBQyxhQUFhLENBQUMsTUFBTSxDQUFDLENBQUM7YUFDeEM7U0FDRjtJQUNILENBQUM7SUFFRCxvRkFBb0Y7SUFDNUUsZUFBZSxDQUFDLElBQU87UUFDN0IsTUFBTSxNQUFNLEdBQUcsSUFBSSxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUVyQyxJQUFJLENBQUMsY0FBYyxFQUFFLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxFQUFFO1lBQ3RDLElBQUksT0FBTyxDQUFDLEtBQUssS0FBSyxJQUFJLENBQUMsS0FBSyxJQUFJLE9BQU8sQ0FBQyxZQUFZLElBQUksQ0FBQyxPQUFPLENBQUMsVUFBVTtnQkFDM0UsSUFBSSxDQUFDLFVBQVUsQ0FBQyxPQUFPLENBQUMsS0FBSyxNQUFNLEVBQUU7Z0JBQ3ZDLE9BQU8sQ0FBQyxNQUFNLEVBQUUsQ0FBQzthQUNsQjtRQUNILENBQUMsQ0FBQyxDQUFDO0lBQ0wsQ0FBQztJQUVELDhGQUE4RjtJQUN0RixVQUFVLENBQUMsSUFBTztRQUN4QixNQUFNLEtBQUssR0FBRyxJQUFJLENBQUMsY0FBYyxFQUFFLENBQUM7UUFFcEMsS0FBSyxJQUFJLENBQUMsR0FBRyxLQUFLLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLEdBQUcsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFLEVBQUU7WUFDakQsSUFBSSxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsS0FBSyxHQUFHLElBQUksQ0FBQyxLQUFLLEVBQUU7Z0JBQy9CLE9BQU8sS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDO2FBQ2pCO1NBQ0Y7UUFFRCxPQUFPLElBQUksQ0FBQztJQUNkLENBQUM7SUFFRCx3RkFBd0Y7SUFDaEYsbUJBQW1CO1FBQ3pCLE1BQU0sU0FBUyxHQUFRLEVBQUUsQ0FBQztRQUMxQixJQUFJLENBQUMsYUFBYSxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUM7UUFFOUIsS0FBSyxNQUFNLElBQUksSUFBSSxJQUFJLENBQUMsY0FBYyxFQUFFLEVBQUU7WUFDeEMsTUFBTSxLQUFLLEdBQUcsSUFBSSxDQUFDLEtBQUssQ0FBQztZQUN6QixTQUFTLENBQUMsTUFBTSxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsU0FBUyxDQUFDLE1BQU0sRUFBRSxLQUFLLENBQUMsQ0FBQztZQUVyRCxJQUFJLFNBQVMsQ0FBQyxLQUFLLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyxRQUFRLENBQUMsVUFBVSxDQUFDLEVBQUU7Z0JBQ3BELElBQUksQ0FBQyxhQUFhLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDO2FBQy9CO1lBRUQsU0FBUyxDQUFDLEtBQUssQ0FBQyxHQUFHLElBQUksQ0FBQztTQUN6QjtRQUVELDhFQUE4RTtRQUM5RSxNQUFNLFVBQVUsR0FBRyxJQUFJLENBQUMsV0FBVyxDQUFDLFVBQVUsQ0FBQztRQUUvQyxJQUFJLFVBQVUsRUFBRTtZQUNkLElBQUksQ0FBQyxXQUFXLENBQUMsZ0JBQWdCLENBQUMsVUFBVSxDQUFDLENBQUM7U0FDL0M7SUFDSCxDQUFDO0lBRUQsOENBQThDO0lBQ3RDLGNBQWM7UUFDcEIsT0FBTyxJQUFJLENBQUMsTUFBTSxZQUFZLFNBQVMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxPQUFPLEVBQUUsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQztJQUNoRixDQUFDO0NBQ0YiLCJzb3VyY2VzQ29udGVudCI6WyIvKipcbiAqIEBsaWNlbnNlXG4gKiBDb3B5cmlnaHQgR29vZ2xlIExMQyBBbGwgUmlnaHRzIFJlc2VydmVkLlxuICpcbiAqIFVzZSBvZiB0aGlzIHNvdXJjZSBjb2RlIGlzIGdvdmVybmVkIGJ5IGFuIE1JVC1zdHlsZSBsaWNlbnNlIHRoYXQgY2FuIGJlXG4gKiBmb3VuZCBpbiB0aGUgTElDRU5TRSBmaWxlIGF0IGh0dHBzOi8vYW5ndWxhci5pby9saWNlbnNlXG4gKi9cblxuaW1wb3J0IHtGb2N1c2FibGVPcHRpb24sIEZvY3VzS2V5TWFuYWdlcn0gZnJvbSAnQGFuZ3VsYXIvY2RrL2ExMXknO1xuaW1wb3J0IHtoYXNNb2RpZmllcktleSwgTEVGVF9BUlJPVywgUklHSFRfQVJST1d9IGZyb20gJ0Bhbmd1bGFyL2Nkay9rZXljb2Rlcyc7XG5pbXBvcnQge1F1ZXJ5TGlzdH0gZnJvbSAnQGFuZ3VsYXIvY29yZSc7XG5pbXBvcnQge09ic2VydmFibGV9IGZyb20gJ3J4anMnO1xuaW1wb3J0IHttYXB9IGZyb20gJ3J4anMvb3BlcmF0b3JzJztcblxuLyoqIEl0ZW0gdGhhdCBjYW4gYmUgbWFuYWdlZCBieSBhIGBUcmVlS2V5TWFuYWdlcmAuICovXG5leHBvcnQgaW50ZXJmYWNlIFRyZWVLZXlNYW5hZ2VySXRlbSBleHRlbmRzIEZvY3VzYWJsZU9wdGlvbiB7XG4gIC8qKiBaZXJvLWJhc2VkIGxldmVsIG9mIHRoZSBpdGVtIHdpdGhpbiB0aGUgdHJlZS4gKi9cbiAgcmVhZG9ubHkgbGV2ZWw6IG51bWJlcjtcblxuICAvKiogV2hldGhlciB0aGUgaXRlbSBpcyBjdXJyZW50bHkgZXhwYW5kZWQuICovXG4gIHJlYWRvbmx5IGlzRXhwYW5kZWQ6IGJvb2xlYW47XG5cbiAgLyoqIFdoZXRoZXIgdGhlIGl0ZW0gY2FuIGJlIGV4cGFuZGVkLiAqL1xuICByZWFkb25seSBpc0V4cGFuZGFibGU6IGJvb2xlYW47XG5cbiAgLyoqIEV4cGFuZHMgdGhlIGl0ZW0uICovXG4gIGV4cGFuZCgpOiB2b2lkO1xuXG4gIC8qKiBDb2xsYXBzZXMgdGhlIGl0ZW0uICovXG4gIGNvbGxhcHNlKCk6IHZvaWQ7XG59XG5cbi8qKlxuICogTWFuYWdlcyBrZXlib2FyZCBuYXZpZ2F0aW9uIHdpdGhpbiBhIHRyZWUsIGZvbGxvd2luZyB0aGUgV0FJLUFSSUEgdHJlZSB2aWV3IHBhdHRlcm4uIFVwIGFuZFxuICogZG93biBhcnJvd3MgbW92ZSBiZXR3ZWVuIHRoZSB2aXNpYmxlIGl0ZW1zLCByaWdodCBhcnJvdyBleHBhbmRzIGFuIGl0ZW0gb3IgbW92ZXMgdG8gaXRzIGZpcnN0XG4gKiBjaGlsZCwgbGVmdCBhcnJvdyBjb2xsYXBzZXMgYW4gaXRlbSBvciBtb3ZlcyB0byBpdHMgcGFyZW50IGFuZCBgKmAgZXhwYW5kcyBhbGwgb2YgdGhlIHNpYmxpbmdzXG4gKiBvZiB0aGUgYWN0aXZlIGl0ZW0uIFN1cHBvcnRzIEhvbWUvRW5kIGFuZCB0eXBlLWFoZWFkIHRocm91Z2ggYW4gdW5kZXJseWluZyBgRm9jdXNLZXlNYW5hZ2VyYC5cbiAqIFRoZSBpdGVtcyBoYXZlIHRvIGJlIHByb3ZpZGVkIGluIHRoZSBvcmRlciBpbiB3aGljaCB0aGV5IGFwcGVhciBpbiB0aGUgdHJlZS5cbiAqL1xuZXhwb3J0IGNsYXNzIFRyZWVLZXlNYW5hZ2VyPFQgZXh0ZW5kcyBUcmVlS2V5TWFuYWdlckl0ZW0+IHtcbiAgLyoqIEl0ZW1zIHdob3NlIGFuY2VzdG9ycyBhcmUgYWxsIGV4cGFuZGVkLiBLZXB0IGluIHN5bmMgd2l0aCB0aGUgbGlzdCBvZiBhbGwgaXRlbXMuICovXG4gIHByaXZhdGUgX3Zpc2libGVJdGVtczogVFtdID0gW107XG5cbiAgLyoqIEtleSBtYW5hZ2VyIHRoYXQgaGFuZGxlcyB0aGUgbmF2aWdhdGlvbiBiZXR3ZWVuIHRoZSB2aXNpYmxlIGl0ZW1zLiAqL1xuICBwcml2YXRlIF9rZXlNYW5hZ2VyID0gbmV3IEZvY3VzS2V5TWFuYWdlcjxUPih0aGlzLl92aXNpYmxlSXRlbXMpXG4gICAgICAud2l0aFZlcnRpY2FsT3JpZW50YXRpb24oKVxuICAgICAgLndpdGhIb21lQW5kRW5kKCk7XG5cbiAgLyoqIFRleHQgZGlyZWN0aW9uIG9mIHRoZSB0cmVlLiBEZXRlcm1pbmVzIHdoaWNoIGhvcml6b250YWwga2V5IGV4cGFuZHMgYW4gaXRlbS4gKi9cbiAgcHJpdmF0ZSBfZGlyZWN0aW9uOiAnbHRyJyB8ICdydGwnID0gJ2x0cic7XG5cbiAgLyoqIFN0cmVhbSB0aGF0IGVtaXRzIHdoZW5ldmVyIHRoZSBhY3RpdmUgaXRlbSBjaGFuZ2VzLiAqL1xuICByZWFkb25seSBjaGFuZ2U6IE9ic2VydmFibGU8VD4gPVxuICAgICAgdGhpcy5fa2V5TWFuYWdlci5jaGFuZ2UucGlwZShtYXAoaW5kZXggPT4gdGhpcy5fdmlzaWJsZUl0ZW1zW2luZGV4XSkpO1xuXG4gIGNvbnN0cnVjdG9yKHByaXZhdGUgX2l0ZW1zOiBRdWVyeUxpc3Q8VD4gfCBUW10pIHt9XG5cbiAgLyoqXG4gICAqIFR1cm5zIG9uIHR5cGUtYWhlYWQgbW9kZSB3aGljaCBhbGxvd3MgdXNlcnMgdG8gc2V0IHRoZSBhY3RpdmUgaXRlbSBieSB0eXBpbmcuXG4gICAqIEBwYXJhbSBkZWJvdW5jZUludGVydmFsIFRpbWUgdG8gd2FpdCBhZnRlciB0aGUgbGFzdCBrZXlzdHJva2UgYmVmb3JlIHNldHRpbmcgdGhlIGFjdGl2ZSBpdGVtLlxuICAgKi9cbiAgd2l0aFR5cGVBaGVhZChkZWJvdW5jZUludGVydmFsPzogbnVtYmVyKTogdGhpcyB7XG4gICAgdGhpcy5fa2V5TWFuYWdlci53aXRoVHlwZUFoZWFkKGRlYm91bmNlSW50ZXJ2YWwpO1xuICAgIHJldHVybiB0aGlzO1xuICB9XG5cbiAgLyoqXG4gICAqIENvbmZpZ3VyZXMgdGhlIGRpcmVjdGlvbiBvZiB0aGUgdHJlZS4gSW4gYSByaWdodC10by1sZWZ0IHRyZWUgdGhlIGxlZnQgYXJyb3dcbiAgICogZXhwYW5kcyBpdGVtcyBhbmQgdGhlIHJpZ2h0IGFycm93IGNvbGxhcHNlcyB0aGVtLlxuICAgKiBAcGFyYW0gZGlyZWN0aW9uIERpcmVjdGlvbiBpbiB3aGljaCB0aGUgdHJlZSBpcyBsYWlkIG91dC5cbiAgICovXG4gIHdpdGhIb3Jpem9udGFsT3JpZW50YXRpb24oZGlyZWN0aW9uOiAnbHRyJyB8ICdydGwnKTogdGhpcyB7XG4gICAgdGhpcy5fZGlyZWN0aW9uID0gZGlyZWN0aW9uO1xuICAgIHJldHVybiB0aGlzO1xuICB9XG5cbiAgLyoqIFRoZSBhY3RpdmUgaXRlbS4gKi9cbiAgZ2V0IGFjdGl2ZUl0ZW0oKTogVCB8IG51bGwge1xuICAgIHJldHVybiB0aGlzLl9rZXlNYW5hZ2VyLmFjdGl2ZUl0ZW07XG4gIH1cblxuICAvKiogU2V0cyB0aGUgYWN0aXZlIGl0ZW0gYW5kIGZvY3VzZXMgaXQuICovXG4gIHNldEFjdGl2ZUl0ZW0oaXRlbTogVCk6IHZvaWQge1xuICAgIHRoaXMuX3VwZGF0ZVZpc2libGVJdGVtcygpO1xuICAgIHRoaXMuX2tleU1hbmFnZXIuc2V0QWN0aXZlSXRlbShpdGVtKTtcbiAgfVxuXG4gIC8qKlxuICAgKiBTZXRzIHRoZSBhY3RpdmUgaXRlbSB3aXRob3V0IGZvY3VzaW5nIGl0IG9yIGVtaXR0aW5nIHRocm91Z2ggdGhlIGBjaGFuZ2VgIHN0cmVhbS4gVXNlZnVsXG4gICAqIGZvciBrZWVwaW5nIHRoZSBrZXkgbWFuYWdlciBpbiBzeW5jIHdoZW4gYW4gaXRlbSByZWNlaXZlZCBmb2N1cyB0aHJvdWdoIG90aGVyIG1lYW5zLlxuICAgKi9cbiAgdXBkYXRlQWN0aXZlSXRlbShpdGVtOiBUKTogdm9pZCB7XG4gICAgdGhpcy5fdXBkYXRlVmlzaWJsZUl0ZW1zKCk7XG4gICAgdGhpcy5fa2V5TWFuYWdlci51cGRhdGVBY3RpdmVJdGVtKGl0ZW0pO1xuICB9XG5cbiAgLyoqIFNldHMgdGhlIGFjdGl2ZSBpdGVtIGRlcGVuZGluZyBvbiB0aGUga2V5IGV2ZW50IHBhc3NlZCBpbi4gKi9cbiAgb25LZXlkb3duKGV2ZW50OiBLZXlib2FyZEV2ZW50KTogdm9pZCB7XG4gICAgdGhpcy5fdXBkYXRlVmlzaWJsZUl0ZW1zKCk7XG5cbiAgICBjb25zdCBrZXlDb2RlID0gZXZlbnQua2V5Q29kZTtcbiAgICBjb25zdCBleHBhbmRLZXkgPSB0aGlzLl9kaXJlY3Rpb24gPT09ICdydGwnID8gTEVGVF9BUlJPVyA6IFJJR0hUX0FSUk9XO1xuICAgIGNvbnN0IGNvbGxhcHNlS2V5ID0gdGhpcy5fZGlyZWN0aW9uID09PSAncnRsJyA/IFJJR0hUX0FSUk9XIDogTEVGVF9BUlJPVztcbiAgICBjb25zdCBhY3RpdmVJdGVtID0gdGhpcy5hY3RpdmVJdGVtO1xuXG4gICAgaWYgKGtleUNvZGUgPT09IGV4cGFuZEtleSB8fCBrZXlDb2RlID09PSBjb2xsYXBzZUtleSkge1xuICAgICAgaWYgKGhhc01vZGlmaWVyS2V5KGV2ZW50KSkge1xuICAgICAgICByZXR1cm47XG4gICAgICB9XG5cbiAgICAgIGlmICghYWN0aXZlSXRlbSkge1xuICAgICAgICB0aGlzLl9rZXlNYW5hZ2VyLnNldEZpcnN0SXRlbUFjdGl2ZSgpO1xuICAgICAgfSBlbHNlIGlmIChrZXlDb2RlID09PSBleHBhbmRLZXkpIHtcbiAgICAgICAgdGhpcy5fZXhwYW5kT3JGb2N1c0ZpcnN0Q2hpbGQoYWN0aXZlSXRlbSk7XG4gICAgICB9IGVsc2Uge1xuICAgICAgICB0aGlzLl9jb2xsYXBzZU9yRm9jdXNQYXJlbnQoYWN0aXZlSXRlbSk7XG4gICAgICB9XG4gICAgfSBlbHNlIGlmIChldmVudC5rZXkgPT09ICcqJyAmJiBhY3RpdmVJdGVtKSB7XG4gICAgICB0aGlzLl9leHBhbmRTaWJsaW5ncyhhY3RpdmVJdGVtKTtcbiAgICB9IGVsc2Uge1xuICAgICAgdGhpcy5fa2V5TWFuYWdlci5vbktleWRvd24oZXZlbnQpO1xuICAgICAgcmV0dXJuO1xuICAgIH1cblxuICAgIGV2ZW50LnByZXZlbnREZWZhdWx0KCk7XG4gIH1cblxuICAvKiogRXhwYW5kcyB0aGUgaXRlbSBpZiBpdCdzIGNvbGxhcHNlZCwgb3RoZXJ3aXNlIG1vdmVzIGZvY3VzIHRvIGl0cyBmaXJzdCBjaGlsZC4gKi9cbiAgcHJpdmF0ZSBfZXhwYW5kT3JGb2N1c0ZpcnN0Q2hpbGQoaXRlbTogVCkge1xuICAgIGlmICghaXRlbS5pc0V4cGFuZGFibGUpIHtcbiAgICAgIHJldHVybjtcbiAgICB9XG5cbiAgICBpZiAoIWl0ZW0uaXNFeHBhbmRlZCkge1xuICAgICAgaXRlbS5leHBhbmQoKTtcbiAgICB9IGVsc2Uge1xuICAgICAgY29uc3QgbmV4dEl0ZW0gPSB0aGlzLl92aXNpYmxlSXRlbXNbdGhpcy5fdmlzaWJsZUl0ZW1zLmluZGV4T2YoaXRlbSkgKyAxXTtcblxuICAgICAgaWYgKG5leHRJdGVtICYmIG5leHRJdGVtLmxldmVsID4gaXRlbS5sZXZlbCkge1xuICAgICAgICB0aGlzLl9rZXlNYW5hZ2VyLnNldEFjdGl2ZUl0ZW0obmV4dEl0ZW0pO1xuICAgICAgfVxuICAgIH1cbiAgfVxuXG4gIC8qKiBDb2xsYXBzZXMgdGhlIGl0ZW0gaWYgaXQncyBleHBhbmRlZCwgb3RoZXJ3aXNlIG1vdmVzIGZvY3VzIHRvIGl0cyBwYXJlbnQuICovXG4gIHByaXZhdGUgX2NvbGxhcHNlT3JGb2N1c1BhcmVudChpdGVtOiBUKSB7XG4gICAgaWYgKGl0ZW0uaXNFeHBhbmRhYmxlICYmIGl0ZW0uaXNFeHBhbmRlZCkge1xuICAgICAgaXRlbS5jb2xsYXBzZSgpO1xuICAgIH0gZWxzZSB7XG4gICAgICBjb25zdCBwYXJlbnQgPSB0aGlzLl9nZXRQYXJlbnQoaXRlbSk7XG5cbiAgICAgIGlmIChwYXJlbnQpIHtcbiAgICAgICAgdGhpcy5fa2V5TWFuYWdlci5zZXRBY3RpdmVJdGVtKHBhcmVudCk7XG4gICAgICB9XG4gICAgfVxuICB9XG5cbiAgLyoqIEV4cGFuZHMgYWxsIG9mIHRoZSBzaWJsaW5ncyBvZiB0aGUgc3BlY2lmaWVkIGl0ZW0sIGluY2x1ZGluZyB0aGUgaXRlbSBpdHNlbGYuICovXG4gIHByaXZhdGUgX2V4cGFuZFNpYmxpbmdzKGl0ZW06IFQpIHtcbiAgICBjb25zdCBwYXJlbnQgPSB0aGlzLl9nZXRQYXJlbnQoaXRlbSk7XG5cbiAgICB0aGlzLl9nZXRJdGVtc0FycmF5KCkuZm9yRWFjaChzaWJsaW5nID0+IHtcbiAgICAgIGlmIChzaWJsaW5nLmxldmVsID09PSBpdGVtLmxldmVsICYmIHNpYmxpbmcuaXNFeHBhbmRhYmxlICYmICFzaWJsaW5nLmlzRXhwYW5kZWQgJiZcbiAgICAgICAgICB0aGlzLl9nZXRQYXJlbnQoc2libGluZykgPT09IHBhcmVudCkge1xuICAgICAgICBzaWJsaW5nLmV4cGFuZCgpO1xuICAgICAgfVxuICAgIH0pO1xuICB9XG5cbiAgLyoqIEdldHMgdGhlIHBhcmVudCBvZiBhbiBpdGVtLiBSZWxpZXMgb24gdGhlIGl0ZW1zIGJlaW5nIGluIHRoZSBzYW1lIG9yZGVyIGFzIGluIHRoZSB0cmVlLiAqL1xuICBwcml2YXRlIF9nZXRQYXJlbnQoaXRlbTogVCk6IFQgfCBudWxsIHtcbiAgICBjb25zdCBpdGVtcyA9IHRoaXMuX2dldEl0ZW1zQXJyYXkoKTtcblxuICAgIGZvciAobGV0IGkgPSBpdGVtcy5pbmRleE9mKGl0ZW0pIC0gMTsgaSA+IC0xOyBpLS0pIHtcbiAgICAgIGlmIChpdGVtc1tpXS5sZXZlbCA8IGl0ZW0ubGV2ZWwpIHtcbiAgICAgICAgcmV0dXJuIGl0ZW1zW2ldO1xuICAgICAgfVxuICAgIH1cblxuICAgIHJldHVybiBudWxsO1xuICB9XG5cbiAgLyoqIFVwZGF0ZXMgdGhlIGxpc3Qgb2YgdmlzaWJsZSBpdGVtcyBiYXNlZCBvbiB0aGUgZXhwYW5kZWQgc3RhdGUgb2YgdGhlaXIgYW5jZXN0b3JzLiAqL1xuICBwcml2YXRlIF91cGRhdGVWaXNpYmxlSXRlbXMoKSB7XG4gICAgY29uc3QgYW5jZXN0b3JzOiBUW10gPSBbXTtcbiAgICB0aGlzLl92aXNpYmxlSXRlbXMubGVuZ3RoID0gMDtcblxuICAgIGZvciAoY29uc3QgaXRlbSBvZiB0aGlzLl9nZXRJdGVtc0FycmF5KCkpIHtcbiAgICAgIGNvbnN0IGxldmVsID0gaXRlbS5sZXZlbDtcbiAgICAgIGFuY2VzdG9ycy5sZW5ndGggPSBNYXRoLm1pbihhbmNlc3RvcnMubGVuZ3RoLCBsZXZlbCk7XG5cbiAgICAgIGlmIChhbmNlc3RvcnMuZXZlcnkoYW5jZXN0b3IgPT4gYW5jZXN0b3IuaXNFeHBhbmRlZCkpIHtcbiAgICAgICAgdGhpcy5fdmlzaWJsZUl0ZW1zLnB1c2goaXRlbSk7XG4gICAgICB9XG5cbiAgICAgIGFuY2VzdG9yc1tsZXZlbF0gPSBpdGVtO1xuICAgIH1cblxuICAgIC8vIFN5bmMgdXAgdGhlIGFjdGl2ZSBpdGVtJ3MgaW5kZXggc2luY2UgdGhlIHZpc2libGUgaXRlbXMgbWlnaHQgaGF2ZSBjaGFuZ2VkLlxuICAgIGNvbnN0IGFjdGl2ZUl0ZW0gPSB0aGlzLl9rZXlNYW5hZ2VyLmFjdGl2ZUl0ZW07XG5cbiAgICBpZiAoYWN0aXZlSXRlbSkge1xuICAgICAgdGhpcy5fa2V5TWFuYWdlci51cGRhdGVBY3RpdmVJdGVtKGFjdGl2ZUl0ZW0pO1xuICAgIH1cbiAgfVxuXG4gIC8qKiBHZXRzIHRoZSBsaXN0IG9mIGFsbCBpdGVtcyBhcyBhbiBhcnJheS4gKi9cbiAgcHJpdmF0ZSBfZ2V0SXRlbXNBcnJheSgpOiBUW10ge1xuICAgIHJldHVybiB0aGlzLl9pdGVtcyBpbnN0YW5jZW9mIFF1ZXJ5TGlzdCA/IHRoaXMuX2l0ZW1zLnRvQXJyYXkoKSA6IHRoaXMuX2l0ZW1zO1xuICB9XG59XG4iXX0=
\ No newline at end of file
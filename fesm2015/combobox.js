@@ -0,0 +1,512 @@
+import { Directionality } from '@angular/cdk/bidi';
+import { coerceBooleanProperty, coerceArray } from '@angular/cdk/coercion';
+import { hasModifierKey, TAB, ESCAPE, ENTER, DOWN_ARROW } from '@angular/cdk/keycodes';
+import { OverlayConfig, Overlay, OverlayModule } from '@angular/cdk/overlay';
+import { TemplatePortal } from '@angular/cdk/portal';
+import { EventEmitter, Directive, ElementRef, ViewContainerRef, Optional, Input, Output, TemplateRef, NgModule } from '@angular/core';
+import { Subject, merge } from 'rxjs';
+import { takeUntil } from 'rxjs/operators';
+import { CDK_LISTBOX_PANEL } from '@angular/cdk/listbox';
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/** Positions of the popup of a combobox. */
+const POPUP_POSITIONS = [
+    { originX: 'start', originY: 'bottom', overlayX: 'start', overlayY: 'top' },
+    { originX: 'start', originY: 'top', overlayX: 'start', overlayY: 'bottom' },
+    { originX: 'end', originY: 'bottom', overlayX: 'end', overlayY: 'top' },
+    { originX: 'end', originY: 'top', overlayX: 'end', overlayY: 'bottom' },
+];
+/**
+ * Directive that turns an element into a combobox which opens a `cdkComboboxPanel` inside of an
+ * overlay. The content of the panel, e.g. a `cdkListbox`, hands its value back to the combobox
+ * through the panel. Takes care of the `aria-expanded`, `aria-controls` and `aria-haspopup`
+ * attributes of the combobox.
+ */
+class CdkCombobox {
+    constructor(_elementRef, _overlay, _viewContainerRef, _directionality) {
+        this._elementRef = _elementRef;
+        this._overlay = _overlay;
+        this._viewContainerRef = _viewContainerRef;
+        this._directionality = _directionality;
+        this._panel = null;
+        /** Value of the combobox. */
+        this.value = null;
+        this._disabled = false;
+        this._openActions = ['click'];
+        this._autoSetText = true;
+        /** Emits when the popup is opened. */
+        this.opened = new EventEmitter();
+        /** Emits when the popup is closed. */
+        this.closed = new EventEmitter();
+        /** Emits the values of the combobox when they are changed by the content of the popup. */
+        this.panelValueChanged = new EventEmitter();
+        /** Reference to the overlay that renders the popup. */
+        this._overlayRef = null;
+        /** Portal used to render the content of the panel. */
+        this._panelContent = null;
+        /** Whether the combobox is being focused programmatically and shouldn't open on focus. */
+        this._isRestoringFocus = false;
+        /** Emits when the panel of the combobox changes. */
+        this._panelChanged = new Subject();
+        /** Emits when the popup is closed. */
+        this._popupClosed = new Subject();
+        /** Emits when the combobox is destroyed. */
+        this._destroyed = new Subject();
+    }
+    /** Panel that is opened by the combobox. */
+    get panel() { return this._panel; }
+    set panel(panel) {
+        if (panel !== this._panel) {
+            this.close();
+            this._panelChanged.next();
+            this._panel = panel;
+            if (panel) {
+                this._subscribeToPanel(panel);
+            }
+        }
+    }
+    /** Whether the combobox is disabled. */
+    get disabled() { return this._disabled; }
+    set disabled(value) {
+        this._disabled = coerceBooleanProperty(value);
+    }
+    /** Interactions that open the popup. */
+    get openActions() { return this._openActions; }
+    set openActions(action) {
+        this._openActions = this._coerceOpenActionProperty(action);
+    }
+    /**
+     * Whether the text of the combobox should be updated when its value changes.
+     * Only applies to comboboxes that are `input` elements.
+     */
+    get autoSetText() { return this._autoSetText; }
+    set autoSetText(value) {
+        this._autoSetText = coerceBooleanProperty(value);
+    }
+    ngOnDestroy() {
+        if (this._overlayRef) {
+            this._overlayRef.dispose();
+            this._overlayRef = null;
+        }
+        this._panelChanged.complete();
+        this._popupClosed.complete();
+        this._destroyed.next();
+        this._destroyed.complete();
+    }
+    /** Whether the popup is open. */
+    isOpen() {
+        return !!this._overlayRef && this._overlayRef.hasAttached();
+    }
+    /** Toggles the open state of the popup. */
+    toggle() {
+        this.isOpen() ? this.close() : this.open();
+    }
+    /** Opens the popup. */
+    open() {
+        const panel = this._panel;
+        if (this.disabled || !panel || this.isOpen()) {
+            return;
+        }
+        if (!this._overlayRef) {
+            this._overlayRef = this._overlay.create(this._getOverlayConfig());
+        }
+        else {
+            // The size of the combobox may have changed since the last time the popup was opened.
+            this._overlayRef.updateSize({ minWidth: this._getOverlayMinWidth() });
+        }
+        if (!this._panelContent || this._panelContent.templateRef !== panel._templateRef) {
+            this._panelContent = new TemplatePortal(panel._templateRef, this._viewContainerRef);
+        }
+        panel._reset();
+        this._overlayRef.attach(this._panelContent);
+        this._subscribeToOutsideClicks();
+        this.opened.next();
+    }
+    /** Closes the popup. */
+    close() {
+        if (this.isOpen()) {
+            this._popupClosed.next();
+            this._overlayRef.detach();
+            this.closed.next();
+        }
+    }
+    /** Handles the interactions which can open the popup. */
+    _handleInteractions(interaction) {
+        if (interaction === 'focus' && this._isRestoringFocus) {
+            return;
+        }
+        if (interaction === 'click' && this._openActions.indexOf('toggle') > -1) {
+            this.toggle();
+        }
+        else if (this._openActions.indexOf(interaction) > -1) {
+            this.open();
+        }
+    }
+    /** Handles keyboard events on the combobox. */
+    _keydown(event) {
+        if (hasModifierKey(event)) {
+            return;
+        }
+        const panel = this._panel;
+        switch (event.keyCode) {
+            case DOWN_ARROW:
+                if (this.isOpen() || this._openActions.indexOf('downKey') > -1) {
+                    event.preventDefault();
+                    this.open();
+                    if (panel && this.isOpen()) {
+                        panel.focusContent();
+                    }
+                }
+                break;
+            case ENTER:
+                // Prevent the default action so that buttons don't dispatch a click event as well.
+                if (this._openActions.indexOf('toggle') > -1) {
+                    event.preventDefault();
+                    this.toggle();
+                }
+                else if (this._openActions.indexOf('click') > -1 && !this.isOpen()) {
+                    event.preventDefault();
+                    this.open();
+                }
+                break;
+            case ESCAPE:
+                if (this.isOpen()) {
+                    event.preventDefault();
+                    this.close();
+                }
+                break;
+            case TAB:
+                this.close();
+                break;
+        }
+    }
+    /** Gets the ID of the element that the combobox controls, if the popup is open. */
+    _getControlledId() {
+        return this.isOpen() && this._panel && this._panel.contentId ? this._panel.contentId : null;
+    }
+    /** Gets the type of the popup of the combobox. */
+    _getPopupType() {
+        return this._panel ? this._panel.contentType : null;
+    }
+    /** Gets the tabindex of the combobox. */
+    _getTabIndex() {
+        return this.disabled ? null : '0';
+    }
+    /** Updates the value of the combobox, and the text of the combobox if necessary. */
+    _setComboboxValue(value) {
+        const valueChanged = this.value !== value;
+        this.value = value;
+        if (valueChanged) {
+            this.panelValueChanged.emit(coerceArray(value));
+            if (this._autoSetText) {
+                this._setTextContent();
+            }
+        }
+    }
+    /** Updates the text of an input element based on the value of the combobox. */
+    _setTextContent() {
+        const element = this._elementRef.nativeElement;
+        if (element.nodeName.toLowerCase() === 'input') {
+            const values = this.value == null ? [] : coerceArray(this.value);
+            element.value = values.join(', ');
+        }
+    }
+    /** Moves focus back to the combobox without opening the popup. */
+    _restoreFocus() {
+        this._isRestoringFocus = true;
+        this._elementRef.nativeElement.focus();
+        this._isRestoringFocus = false;
+    }
+    /** Listens for the events through which the content of the panel talks to the combobox. */
+    _subscribeToPanel(panel) {
+        const stop = merge(this._panelChanged, this._destroyed);
+        panel.valueUpdated.pipe(takeUntil(stop)).subscribe(value => this._setComboboxValue(value));
+        panel.closeRequested.pipe(takeUntil(stop)).subscribe(() => {
+            if (this.isOpen()) {
+                this.close();
+                this._restoreFocus();
+            }
+        });
+    }
+    /** Closes the popup when the user clicks outside of it and the combobox. */
+    _subscribeToOutsideClicks() {
+        this._overlayRef.outsidePointerEvents()
+            .pipe(takeUntil(merge(this._popupClosed, this._destroyed)))
+            .subscribe(event => {
+            if (!this._elementRef.nativeElement.contains(event.target)) {
+                this.close();
+            }
+        });
+    }
+    /** Gets the configuration for the overlay that renders the popup. */
+    _getOverlayConfig() {
+        return new OverlayConfig({
+            positionStrategy: this._getOverlayPositionStrategy(),
+            scrollStrategy: this._overlay.scrollStrategies.reposition(),
+            direction: this._directionality,
+            minWidth: this._getOverlayMinWidth(),
+        });
+    }
+    /** Gets the strategy that positions the popup next to the combobox. */
+    _getOverlayPositionStrategy() {
+        return this._overlay.position()
+            .flexibleConnectedTo(this._elementRef)
+            .withPositions(POPUP_POSITIONS);
+    }
+    /** Gets the minimum width of the popup so that it's at least as wide as the combobox. */
+    _getOverlayMinWidth() {
+        return this._elementRef.nativeElement.getBoundingClientRect().width;
+    }
+    /** Coerces the open actions into an array of valid actions. */
+    _coerceOpenActionProperty(input) {
+        const actions = typeof input === 'string' ? input.trim().split(/[ ,]+/) : input;
+        if ((typeof ngDevMode === 'undefined' || ngDevMode) && actions &&
+            actions.some(a => ['focus', 'click', 'downKey', 'toggle'].indexOf(a) === -1)) {
+            throw Error(`${input} is not a supported open action for CdkCombobox`);
+        }
+        return (actions || []);
+    }
+}
+CdkCombobox.decorators = [
+    { type: Directive, args: [{
+                selector: '[cdkCombobox]',
+                exportAs: 'cdkCombobox',
+                host: {
+                    'role': 'combobox',
+                    'class': 'cdk-combobox',
+                    '(click)': '_handleInteractions("click")',
+                    '(focus)': '_handleInteractions("focus")',
+                    '(keydown)': '_keydown($event)',
+                    '[attr.aria-disabled]': 'disabled || null',
+                    '[attr.aria-controls]': '_getControlledId()',
+                    '[attr.aria-haspopup]': '_getPopupType()',
+                    '[attr.aria-expanded]': 'isOpen()',
+                    '[attr.tabindex]': '_getTabIndex()',
+                },
+            },] }
+];
+CdkCombobox.ctorParameters = () => [
+    { type: ElementRef },
+    { type: Overlay },
+    { type: ViewContainerRef },
+    { type: Directionality, decorators: [{ type: Optional }] }
+];
+CdkCombobox.propDecorators = {
+    panel: [{ type: Input, args: ['cdkComboboxTriggerFor',] }],
+    value: [{ type: Input, args: ['cdkComboboxValue',] }],
+    disabled: [{ type: Input, args: ['cdkComboboxDisabled',] }],
+    openActions: [{ type: Input, args: ['cdkComboboxOpenActions',] }],
+    autoSetText: [{ type: Input, args: ['cdkComboboxAutoSetText',] }],
+    opened: [{ type: Output, args: ['cdkComboboxOpened',] }],
+    closed: [{ type: Output, args: ['cdkComboboxClosed',] }],
+    panelValueChanged: [{ type: Output, args: ['cdkComboboxPanelValueChanged',] }]
+};
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * Directive applied to an ng-template which holds the popup content of a combobox. The content
+ * is rendered inside of an overlay once the combobox that references the panel is opened, and
+ * uses the panel to hand its value back to the combobox.
+ */
+class CdkComboboxPanel {
+    constructor(_templateRef) {
+        this._templateRef = _templateRef;
+        /** Emits when the content of the panel has updated the value of the combobox. */
+        this.valueUpdated = new Subject();
+        /** Emits when the content of the panel has asked for the panel to be closed. */
+        this.closeRequested = new Subject();
+        /** Type of the content of the panel, used for the `aria-haspopup` attribute of the combobox. */
+        this.contentType = 'listbox';
+        /** ID of the element that renders the content of the panel, if it is open. */
+        this.contentId = '';
+        /** Element that renders the content of the panel, if it is open. */
+        this._contentElement = null;
+        /** Whether the content should be focused as soon as it is registered. */
+        this._focusContentOnRegister = false;
+    }
+    /**
+     * Updates the value of the combobox without closing the panel.
+     * @param data Value that should be passed to the combobox.
+     */
+    updateValue(data) {
+        this.valueUpdated.next(data);
+    }
+    /**
+     * Closes the panel, optionally updating the value of the combobox.
+     * @param data Value that should be passed to the combobox before closing.
+     */
+    closePanel(data) {
+        if (data !== undefined) {
+            this.updateValue(data);
+        }
+        this.closeRequested.next();
+    }
+    /** Moves focus to the content of the panel, or once it is rendered if it isn't yet. */
+    focusContent() {
+        if (this._contentElement) {
+            this._contentElement.focus();
+        }
+        else {
+            this._focusContentOnRegister = true;
+        }
+    }
+    /**
+     * Registers the element that renders the content of the panel.
+     * @param element Element that renders the content.
+     * @param id ID of the element.
+     * @param contentType Type of the content, if it differs from the panel's type.
+     * @docs-private
+     */
+    _registerContent(element, id, contentType) {
+        this._contentElement = element;
+        this.contentId = id;
+        if (contentType) {
+            this.contentType = contentType;
+        }
+        if (this._focusContentOnRegister) {
+            this._focusContentOnRegister = false;
+            element.focus();
+        }
+    }
+    /**
+     * Removes the reference to the content of the panel once it is destroyed.
+     * @docs-private
+     */
+    _unregisterContent(element) {
+        if (this._contentElement === element) {
+            this._contentElement = null;
+            this.contentId = '';
+        }
+    }
+    /**
+     * Resets the state that was tied to the most recent time the panel was opened.
+     * @docs-private
+     */
+    _reset() {
+        this._focusContentOnRegister = false;
+    }
+}
+CdkComboboxPanel.decorators = [
+    { type: Directive, args: [{
+                selector: 'ng-template[cdkComboboxPanel]',
+                exportAs: 'cdkComboboxPanel',
+                providers: [{ provide: CDK_LISTBOX_PANEL, useExisting: CdkComboboxPanel }],
+            },] }
+];
+CdkComboboxPanel.ctorParameters = () => [
+    { type: TemplateRef }
+];
+CdkComboboxPanel.propDecorators = {
+    contentType: [{ type: Input, args: ['cdkComboboxPanelType',] }]
+};
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/** Counter used to create unique IDs for combobox popups. */
+let nextId = 0;
+/**
+ * Directive that marks an element inside of a `cdkComboboxPanel` as the popup of the combobox.
+ * Can be used for popup content other than a `cdkListbox`, e.g. a dialog or a grid.
+ */
+class CdkComboboxPopup {
+    constructor(_elementRef, _injectedPanel) {
+        this._elementRef = _elementRef;
+        this._injectedPanel = _injectedPanel;
+        /** Role of the popup. */
+        this.role = 'dialog';
+        /** Unique ID of the popup. */
+        this.id = `cdk-combobox-popup-${nextId++}`;
+        /**
+         * Panel that the popup is rendered in. Only has to be set if the panel
+         * can't be injected, e.g. when the app is using View Engine.
+         */
+        this.panel = null;
+    }
+    ngOnInit() {
+        const panel = this._getPanel();
+        if (panel) {
+            panel._registerContent(this._elementRef.nativeElement, this.id, this.role);
+        }
+    }
+    ngOnDestroy() {
+        const panel = this._getPanel();
+        if (panel) {
+            panel._unregisterContent(this._elementRef.nativeElement);
+        }
+    }
+    /** Gets the panel that the popup is rendered in. */
+    _getPanel() {
+        return this._injectedPanel || this.panel;
+    }
+}
+CdkComboboxPopup.decorators = [
+    { type: Directive, args: [{
+                selector: '[cdkComboboxPopup]',
+                exportAs: 'cdkComboboxPopup',
+                host: {
+                    'class': 'cdk-combobox-popup',
+                    'tabindex': '-1',
+                    '[attr.role]': 'role',
+                    '[id]': 'id',
+                },
+            },] }
+];
+CdkComboboxPopup.ctorParameters = () => [
+    { type: ElementRef },
+    { type: CdkComboboxPanel, decorators: [{ type: Optional }] }
+];
+CdkComboboxPopup.propDecorators = {
+    role: [{ type: Input, args: ['cdkComboboxPopupRole',] }],
+    id: [{ type: Input }],
+    panel: [{ type: Input, args: ['cdkComboboxPanel',] }]
+};
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+const EXPORTED_DECLARATIONS = [CdkCombobox, CdkComboboxPanel, CdkComboboxPopup];
+class CdkComboboxModule {
+}
+CdkComboboxModule.decorators = [
+    { type: NgModule, args: [{
+                imports: [OverlayModule],
+                exports: EXPORTED_DECLARATIONS,
+                declarations: EXPORTED_DECLARATIONS,
+            },] }
+];
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+
+/**
+ * Generated bundle index. Do not edit.
+ */
+
+export { CdkCombobox, CdkComboboxModule, CdkComboboxPanel, CdkComboboxPopup };
+//# sourceMappingURL=combobox.js.map
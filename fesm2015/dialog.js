@@ -0,0 +1,649 @@
+import { Overlay, OverlayConfig, OverlayContainer, OverlayModule } from '@angular/cdk/overlay';
+import { BasePortalOutlet, CdkPortalOutlet, ComponentPortal, TemplatePortal, PortalModule } from '@angular/cdk/portal';
+import { Component, ViewEncapsulation, ChangeDetectionStrategy, ElementRef, Optional, Inject, ViewChild, InjectionToken, Injector, TemplateRef, Injectable, SkipSelf, NgModule } from '@angular/core';
+import { Subject, defer } from 'rxjs';
+import { startWith } from 'rxjs/operators';
+import { ConfigurableFocusTrapFactory, A11yModule } from '@angular/cdk/a11y';
+import { DOCUMENT } from '@angular/common';
+import { ESCAPE, hasModifierKey } from '@angular/cdk/keycodes';
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/** Configuration for opening a dialog with the `Dialog` service. */
+class DialogConfig {
+    constructor() {
+        /** The ARIA role of the dialog element. */
+        this.role = 'dialog';
+        /** Custom class or classes for the overlay pane. */
+        this.panelClass = '';
+        /** Whether the dialog has a backdrop. */
+        this.hasBackdrop = true;
+        /** Custom class or classes for the backdrop. */
+        this.backdropClass = '';
+        /** Whether the dialog can be closed by clicking on the backdrop or pressing escape. */
+        this.disableClose = false;
+        /** Width of the dialog. */
+        this.width = '';
+        /** Height of the dialog. */
+        this.height = '';
+        /** Data being injected into the child component. */
+        this.data = null;
+        /** ID of the element that describes the dialog. */
+        this.ariaDescribedBy = null;
+        /** ID of the element that labels the dialog. */
+        this.ariaLabelledBy = null;
+        /** Dialog label applied via `aria-label`. Takes precedence over `ariaLabelledBy`. */
+        this.ariaLabel = null;
+        /**
+         * Whether this is a modal dialog. Content outside of modal dialogs
+         * is hidden from assistive technology while the dialog is open.
+         */
+        this.ariaModal = true;
+        /**
+         * Where the dialog should focus on open. Can be one of the `AutoFocusTarget` values, a CSS
+         * selector of an element inside the dialog or a boolean. `true` is treated the same as
+         * `first-tabbable`, whereas `false` is treated the same as `dialog`.
+         */
+        this.autoFocus = 'first-tabbable';
+        /**
+         * Whether the dialog should restore focus to the previously-focused element upon closing.
+         * A CSS selector or an element can be passed in to restore focus to a different element.
+         */
+        this.restoreFocus = true;
+        /**
+         * Whether the dialog should close when the user goes backwards/forwards in history.
+         * Note that this usually doesn't include clicking on links (unless the user is using
+         * the `HashLocationStrategy`).
+         */
+        this.closeOnNavigation = true;
+    }
+}
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * Throws an exception for the case when a dialog container is used
+ * to attach more than one piece of content.
+ * @docs-private
+ */
+function throwDialogContentAlreadyAttachedError() {
+    throw Error('Attempting to attach dialog content after content is already attached');
+}
+/**
+ * Internal component that wraps the content of a dialog opened through the `Dialog` service.
+ * It doesn't have any styles of its own, but it manages the dialog's ARIA attributes and focus.
+ * @docs-private
+ */
+class CdkDialogContainer extends BasePortalOutlet {
+    constructor(_elementRef, _focusTrapFactory, _document, 
+    /** The dialog configuration. */
+    _config) {
+        super();
+        this._elementRef = _elementRef;
+        this._focusTrapFactory = _focusTrapFactory;
+        this._document = _document;
+        this._config = _config;
+        /** Element that was focused before the dialog was opened. Used to restore focus on close. */
+        this._elementFocusedBeforeDialogWasOpened = null;
+    }
+    ngOnDestroy() {
+        this._restoreFocus();
+    }
+    /**
+     * Attach a ComponentPortal as content to this dialog container.
+     * @param portal Portal to be attached as the dialog content.
+     */
+    attachComponentPortal(portal) {
+        if (this._portalOutlet.hasAttached() && (typeof ngDevMode === 'undefined' || ngDevMode)) {
+            throwDialogContentAlreadyAttachedError();
+        }
+        const result = this._portalOutlet.attachComponentPortal(portal);
+        this._contentAttached();
+        return result;
+    }
+    /**
+     * Attach a TemplatePortal as content to this dialog container.
+     * @param portal Portal to be attached as the dialog content.
+     */
+    attachTemplatePortal(portal) {
+        if (this._portalOutlet.hasAttached() && (typeof ngDevMode === 'undefined' || ngDevMode)) {
+            throwDialogContentAlreadyAttachedError();
+        }
+        const result = this._portalOutlet.attachTemplatePortal(portal);
+        this._contentAttached();
+        return result;
+    }
+    /**
+     * Attaches a DOM portal to the dialog container.
+     * @param portal Portal to be attached.
+     */
+    attachDomPortal(portal) {
+        if (this._portalOutlet.hasAttached() && (typeof ngDevMode === 'undefined' || ngDevMode)) {
+            throwDialogContentAlreadyAttachedError();
+        }
+        this._portalOutlet.attachDomPortal(portal);
+        this._contentAttached();
+    }
+    /** Sets up the focus management once the dialog's content has been attached. */
+    _contentAttached() {
+        if (this._document) {
+            this._elementFocusedBeforeDialogWasOpened = this._document.activeElement;
+        }
+        this._focusTrap = this._focusTrapFactory.create(this._elementRef.nativeElement);
+        this._trapFocus();
+    }
+    /** Moves focus inside the dialog, based on the `autoFocus` option. */
+    _trapFocus() {
+        const element = this._elementRef.nativeElement;
+        switch (this._config.autoFocus) {
+            case false:
+            case 'dialog':
+                // Ensure that focus is on the dialog container. It's possible that a different
+                // component tried to move focus while the content was being attached.
+                if (!this._containsFocus()) {
+                    element.focus();
+                }
+                break;
+            case true:
+            case 'first-tabbable':
+                this._focusTrap.focusInitialElementWhenReady().then(focusedSuccessfully => {
+                    // If we weren't able to find a focusable element in the dialog, then focus the dialog
+                    // container instead. This ensures that screen readers announce the dialog.
+                    if (!focusedSuccessfully) {
+                        element.focus();
+                    }
+                });
+                break;
+            case 'first-heading':
+                this._focusByCssSelector('h1, h2, h3, h4, h5, h6, [role="heading"]');
+                break;
+            default:
+                this._focusByCssSelector(this._config.autoFocus);
+                break;
+        }
+    }
+    /**
+     * Focuses the first element inside the dialog that matches a CSS selector,
+     * or the dialog container itself if no such element exists.
+     */
+    _focusByCssSelector(selector) {
+        const element = this._elementRef.nativeElement;
+        const target = element.querySelector(selector);
+        if (target) {
+            // Elements that aren't focusable by default need a `tabindex` in order to receive focus.
+            if (!target.hasAttribute('tabindex') && target.tabIndex < 0) {
+                target.tabIndex = -1;
+            }
+            target.focus();
+        }
+        else {
+            element.focus();
+        }
+    }
+    /** Restores focus to the element that was focused before the dialog was opened. */
+    _restoreFocus() {
+        const focusConfig = this._config.restoreFocus;
+        let focusTargetElement = null;
+        if (typeof focusConfig === 'string') {
+            focusTargetElement = this._document && this._document.querySelector(focusConfig);
+        }
+        else if (typeof focusConfig === 'boolean') {
+            focusTargetElement = focusConfig ? this._elementFocusedBeforeDialogWasOpened : null;
+        }
+        else if (focusConfig) {
+            focusTargetElement = focusConfig;
+        }
+        // We need the extra check, because IE can set the `activeElement` to null in some cases.
+        if (focusTargetElement && typeof focusTargetElement.focus === 'function') {
+            const activeElement = this._document && this._document.activeElement;
+            const element = this._elementRef.nativeElement;
+            // Make sure that focus is still inside the dialog or is on the body (usually because a
+            // non-focusable element like the backdrop was clicked) before moving it. It's possible that
+            // the consumer moved it themselves before the dialog was closed in which case we shouldn't
+            // move it, because it'll be jarring for the user.
+            if (!activeElement || activeElement === this._document.body || activeElement === element ||
+                element.contains(activeElement)) {
+                focusTargetElement.focus();
+            }
+        }
+        if (this._focusTrap) {
+            this._focusTrap.destroy();
+        }
+        this._elementFocusedBeforeDialogWasOpened = null;
+    }
+    /** Returns whether focus is inside the dialog. */
+    _containsFocus() {
+        const element = this._elementRef.nativeElement;
+        const activeElement = this._document && this._document.activeElement;
+        return element === activeElement || element.contains(activeElement);
+    }
+}
+CdkDialogContainer.decorators = [
+    { type: Component, args: [{
+                selector: 'cdk-dialog-container',
+                template: '<ng-template cdkPortalOutlet></ng-template>',
+                encapsulation: ViewEncapsulation.None,
+                // The dialog content is checked as a part of the container's view so it can't be `OnPush`.
+                // tslint:disable-next-line:validate-decorators
+                changeDetection: ChangeDetectionStrategy.Default,
+                host: {
+                    'class': 'cdk-dialog-container',
+                    'tabindex': '-1',
+                    '[attr.id]': '_config.id || null',
+                    '[attr.role]': '_config.role',
+                    '[attr.aria-modal]': '_config.ariaModal',
+                    '[attr.aria-labelledby]': '_config.ariaLabel ? null : _config.ariaLabelledBy',
+                    '[attr.aria-label]': '_config.ariaLabel',
+                    '[attr.aria-describedby]': '_config.ariaDescribedBy || null',
+                }
+            },] }
+];
+CdkDialogContainer.ctorParameters = () => [
+    { type: ElementRef },
+    { type: ConfigurableFocusTrapFactory },
+    { type: undefined, decorators: [{ type: Optional }, { type: Inject, args: [DOCUMENT,] }] },
+    { type: DialogConfig }
+];
+CdkDialogContainer.propDecorators = {
+    _portalOutlet: [{ type: ViewChild, args: [CdkPortalOutlet, { static: true },] }]
+};
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/** Injection token that can be used to access the data that was passed in to a dialog. */
+const DIALOG_DATA = new InjectionToken('DialogData');
+/** Injection token that can be used to specify default dialog options. */
+const DEFAULT_DIALOG_CONFIG = new InjectionToken('DefaultDialogConfig');
+/** Injection token that determines the scroll handling while a dialog is open. */
+const DIALOG_SCROLL_STRATEGY = new InjectionToken('DialogScrollStrategy');
+/** @docs-private */
+function DIALOG_SCROLL_STRATEGY_PROVIDER_FACTORY(overlay) {
+    return () => overlay.scrollStrategies.block();
+}
+/** @docs-private */
+const DIALOG_SCROLL_STRATEGY_PROVIDER = {
+    provide: DIALOG_SCROLL_STRATEGY,
+    deps: [Overlay],
+    useFactory: DIALOG_SCROLL_STRATEGY_PROVIDER_FACTORY,
+};
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/** Reference to a dialog opened via the `Dialog` service. */
+class DialogRef {
+    constructor(
+    /** Reference to the overlay in which the dialog is rendered. */
+    overlayRef, 
+    /** Configuration that was used to open the dialog. */
+    config) {
+        this.overlayRef = overlayRef;
+        this.config = config;
+        /** Instance of the component that is rendered inside the dialog. Null for template dialogs. */
+        this.componentInstance = null;
+        /** Subject for notifying the user that the dialog is about to close. */
+        this._beforeClosed = new Subject();
+        /** Subject for notifying the user that the dialog has finished closing. */
+        this._afterClosed = new Subject();
+        this.disableClose = config.disableClose;
+        this.id = config.id;
+        overlayRef.keydownEvents().subscribe(event => {
+            if (event.keyCode === ESCAPE && !this.disableClose && !hasModifierKey(event)) {
+                event.preventDefault();
+                this.close();
+            }
+        });
+        overlayRef.backdropClick().subscribe(() => {
+            if (!this.disableClose) {
+                this.close();
+            }
+        });
+        // Note that the overlay can be detached without going through `close`,
+        // for example when it's disposed of because the user navigated away.
+        overlayRef.detachments().subscribe(() => {
+            this._notifyBeforeClosed();
+            this._afterClosed.next(this._result);
+            this._afterClosed.complete();
+            this.componentInstance = null;
+            overlayRef.dispose();
+        });
+    }
+    /**
+     * Closes the dialog.
+     * @param result Optional result to return to the dialog opener.
+     */
+    close(result) {
+        if (this._afterClosed.isStopped) {
+            return;
+        }
+        this._result = result;
+        this._notifyBeforeClosed();
+        this.overlayRef.dispose();
+    }
+    /** Gets an observable that is notified when the dialog is about to be closed. */
+    beforeClosed() {
+        return this._beforeClosed;
+    }
+    /** Gets an observable that is notified with the dialog's result once it has been closed. */
+    afterClosed() {
+        return this._afterClosed;
+    }
+    /** Gets an observable that emits when the overlay's backdrop has been clicked. */
+    backdropClick() {
+        return this.overlayRef.backdropClick();
+    }
+    /** Gets an observable that emits when keydown events are targeted on the overlay. */
+    keydownEvents() {
+        return this.overlayRef.keydownEvents();
+    }
+    /** Updates the position of the dialog based on the current position strategy. */
+    updatePosition() {
+        this.overlayRef.updatePosition();
+        return this;
+    }
+    /**
+     * Updates the dialog's width and height.
+     * @param width New width of the dialog.
+     * @param height New height of the dialog.
+     */
+    updateSize(width = '', height = '') {
+        this.overlayRef.updateSize({ width, height });
+        this.overlayRef.updatePosition();
+        return this;
+    }
+    /** Adds a class to the dialog's overlay pane. */
+    addPanelClass(classes) {
+        this.overlayRef.addPanelClass(classes);
+        return this;
+    }
+    /** Removes a class from the dialog's overlay pane. */
+    removePanelClass(classes) {
+        this.overlayRef.removePanelClass(classes);
+        return this;
+    }
+    /** Emits the `beforeClosed` event, if it hasn't been emitted already. */
+    _notifyBeforeClosed() {
+        if (!this._beforeClosed.isStopped) {
+            this._beforeClosed.next(this._result);
+            this._beforeClosed.complete();
+        }
+    }
+}
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/** Unique id for the created dialogs. */
+let uniqueId = 0;
+/**
+ * Service that can be used to open modal dialogs. The dialogs don't have any styles of their
+ * own, aside from the ones needed for the overlay, which makes them suitable for unstyled apps.
+ */
+class Dialog {
+    constructor(_overlay, _injector, _defaultOptions, _parentDialog, _overlayContainer, scrollStrategy) {
+        this._overlay = _overlay;
+        this._injector = _injector;
+        this._defaultOptions = _defaultOptions;
+        this._parentDialog = _parentDialog;
+        this._overlayContainer = _overlayContainer;
+        this._openDialogsAtThisLevel = [];
+        this._afterAllClosedAtThisLevel = new Subject();
+        this._afterOpenedAtThisLevel = new Subject();
+        this._ariaHiddenElements = new Map();
+        /**
+         * Stream that emits when all open dialogs have finished closing.
+         * Will emit on subscribe if there are no open dialogs to begin with.
+         */
+        this.afterAllClosed = defer(() => this.openDialogs.length ?
+            this._getAfterAllClosed() :
+            this._getAfterAllClosed().pipe(startWith(undefined)));
+        this._scrollStrategy = scrollStrategy;
+    }
+    /** Keeps track of the currently-open dialogs. */
+    get openDialogs() {
+        return this._parentDialog ? this._parentDialog.openDialogs : this._openDialogsAtThisLevel;
+    }
+    /** Stream that emits when a dialog has been opened. */
+    get afterOpened() {
+        return this._parentDialog ? this._parentDialog.afterOpened : this._afterOpenedAtThisLevel;
+    }
+    open(componentOrTemplateRef, config) {
+        config = Object.assign(Object.assign(Object.assign({}, new DialogConfig()), this._defaultOptions), config);
+        config.id = config.id || `cdk-dialog-${uniqueId++}`;
+        if (this.getDialogById(config.id) && (typeof ngDevMode === 'undefined' || ngDevMode)) {
+            throw Error(`Dialog with id "${config.id}" exists already. The dialog id must be unique.`);
+        }
+        const overlayRef = this._overlay.create(this._getOverlayConfig(config));
+        const dialogRef = new DialogRef(overlayRef, config);
+        dialogRef.containerInstance = this._attachContainer(overlayRef, config);
+        this._attachDialogContent(componentOrTemplateRef, dialogRef, config);
+        // If this is the first modal dialog that we're opening, hide all the non-overlay content.
+        if (config.ariaModal && !this._ariaHiddenElements.size) {
+            this._hideNonDialogContentFromAssistiveTechnology();
+        }
+        this.openDialogs.push(dialogRef);
+        dialogRef.afterClosed().subscribe(() => this._removeOpenDialog(dialogRef));
+        this.afterOpened.next(dialogRef);
+        return dialogRef;
+    }
+    /** Closes all of the currently-open dialogs. */
+    closeAll() {
+        this._closeDialogs(this.openDialogs);
+    }
+    /**
+     * Finds an open dialog by its id.
+     * @param id ID to use when looking up the dialog.
+     */
+    getDialogById(id) {
+        return this.openDialogs.find(dialog => dialog.id === id);
+    }
+    ngOnDestroy() {
+        // Only close the dialogs at this level on destroy
+        // since the parent service may still be active.
+        this._closeDialogs(this._openDialogsAtThisLevel);
+        this._afterAllClosedAtThisLevel.complete();
+        this._afterOpenedAtThisLevel.complete();
+    }
+    /**
+     * Creates the overlay configuration for a dialog.
+     * @param config The dialog configuration.
+     * @returns The overlay configuration.
+     */
+    _getOverlayConfig(config) {
+        return new OverlayConfig({
+            positionStrategy: config.positionStrategy ||
+                this._overlay.position().global().centerHorizontally().centerVertically(),
+            scrollStrategy: config.scrollStrategy || this._scrollStrategy(),
+            panelClass: config.panelClass,
+            hasBackdrop: config.hasBackdrop,
+            backdropClass: config.backdropClass,
+            direction: config.direction,
+            width: config.width,
+            height: config.height,
+            minWidth: config.minWidth,
+            minHeight: config.minHeight,
+            maxWidth: config.maxWidth,
+            maxHeight: config.maxHeight,
+            disposeOnNavigation: config.closeOnNavigation
+        });
+    }
+    /**
+     * Attaches a dialog container to an overlay.
+     * @param overlayRef Reference to the dialog's underlying overlay.
+     * @param config The dialog configuration.
+     * @returns The instance of the attached container.
+     */
+    _attachContainer(overlayRef, config) {
+        const injector = Injector.create({
+            parent: this._getParentInjector(config),
+            providers: [{ provide: DialogConfig, useValue: config }]
+        });
+        const containerPortal = new ComponentPortal(CdkDialogContainer, config.viewContainerRef, injector, config.componentFactoryResolver);
+        const containerRef = overlayRef.attach(containerPortal);
+        return containerRef.instance;
+    }
+    /**
+     * Attaches the user-provided component or template to the already-created dialog container.
+     * @param componentOrTemplateRef The type of component being loaded into the dialog,
+     *     or a TemplateRef to instantiate as the content.
+     * @param dialogRef Reference to the dialog.
+     * @param config The dialog configuration.
+     */
+    _attachDialogContent(componentOrTemplateRef, dialogRef, config) {
+        const container = dialogRef.containerInstance;
+        if (componentOrTemplateRef instanceof TemplateRef) {
+            container.attachTemplatePortal(new TemplatePortal(componentOrTemplateRef, null, { $implicit: config.data, dialogRef }));
+        }
+        else {
+            const injector = this._createInjector(config, dialogRef);
+            const contentRef = container.attachComponentPortal(new ComponentPortal(componentOrTemplateRef, config.viewContainerRef, injector, config.componentFactoryResolver));
+            dialogRef.componentInstance = contentRef.instance;
+        }
+    }
+    /**
+     * Creates a custom injector to be used inside the dialog. This allows a component loaded inside
+     * of a dialog to close itself and, optionally, to return a value.
+     * @param config Config object that is used to construct the dialog.
+     * @param dialogRef Reference to the dialog.
+     * @returns The custom injector that can be used inside the dialog.
+     */
+    _createInjector(config, dialogRef) {
+        const providers = [
+            { provide: DIALOG_DATA, useValue: config.data },
+            { provide: DialogRef, useValue: dialogRef },
+            { provide: DialogConfig, useValue: config },
+        ];
+        return Injector.create({ parent: this._getParentInjector(config), providers });
+    }
+    /** Gets the injector that should be used as the parent of the dialog's injectors. */
+    _getParentInjector(config) {
+        const viewContainerRef = config.viewContainerRef;
+        return config.injector || (viewContainerRef && viewContainerRef.injector) || this._injector;
+    }
+    /**
+     * Removes a dialog from the array of open dialogs.
+     * @param dialogRef Dialog to be removed.
+     */
+    _removeOpenDialog(dialogRef) {
+        const index = this.openDialogs.indexOf(dialogRef);
+        if (index > -1) {
+            this.openDialogs.splice(index, 1);
+            // If all the dialogs were closed, restore the `aria-hidden` of
+            // the siblings and emit to the `afterAllClosed` stream.
+            if (!this.openDialogs.length) {
+                this._ariaHiddenElements.forEach((previousValue, element) => {
+                    if (previousValue) {
+                        element.setAttribute('aria-hidden', previousValue);
+                    }
+                    else {
+                        element.removeAttribute('aria-hidden');
+                    }
+                });
+                this._ariaHiddenElements.clear();
+                this._getAfterAllClosed().next();
+            }
+        }
+    }
+    /** Hides all of the content that isn't an overlay from assistive technology. */
+    _hideNonDialogContentFromAssistiveTechnology() {
+        const overlayContainer = this._overlayContainer.getContainerElement();
+        // Ensure that the overlay container is attached to the DOM.
+        if (overlayContainer.parentElement) {
+            const siblings = overlayContainer.parentElement.children;
+            for (let i = siblings.length - 1; i > -1; i--) {
+                const sibling = siblings[i];
+                if (sibling !== overlayContainer &&
+                    sibling.nodeName !== 'SCRIPT' &&
+                    sibling.nodeName !== 'STYLE' &&
+                    !sibling.hasAttribute('aria-live')) {
+                    this._ariaHiddenElements.set(sibling, sibling.getAttribute('aria-hidden'));
+                    sibling.setAttribute('aria-hidden', 'true');
+                }
+            }
+        }
+    }
+    /** Closes all of the dialogs in an array. */
+    _closeDialogs(dialogs) {
+        let i = dialogs.length;
+        // Go backwards, because closing a dialog removes it from the array.
+        while (i--) {
+            dialogs[i].close();
+        }
+    }
+    /** Gets the `afterAllClosed` subject of the top-level dialog service. */
+    _getAfterAllClosed() {
+        const parent = this._parentDialog;
+        return parent ? parent._getAfterAllClosed() : this._afterAllClosedAtThisLevel;
+    }
+}
+Dialog.decorators = [
+    { type: Injectable }
+];
+Dialog.ctorParameters = () => [
+    { type: Overlay },
+    { type: Injector },
+    { type: DialogConfig, decorators: [{ type: Optional }, { type: Inject, args: [DEFAULT_DIALOG_CONFIG,] }] },
+    { type: Dialog, decorators: [{ type: Optional }, { type: SkipSelf }] },
+    { type: OverlayContainer },
+    { type: undefined, decorators: [{ type: Inject, args: [DIALOG_SCROLL_STRATEGY,] }] }
+];
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+class DialogModule {
+}
+DialogModule.decorators = [
+    { type: NgModule, args: [{
+                imports: [OverlayModule, PortalModule, A11yModule],
+                exports: [PortalModule],
+                declarations: [CdkDialogContainer],
+                providers: [
+                    Dialog,
+                    DIALOG_SCROLL_STRATEGY_PROVIDER,
+                ],
+                entryComponents: [CdkDialogContainer],
+            },] }
+];
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+
+/**
+ * Generated bundle index. Do not edit.
+ */
+
+export { CdkDialogContainer, DEFAULT_DIALOG_CONFIG, DIALOG_DATA, DIALOG_SCROLL_STRATEGY, DIALOG_SCROLL_STRATEGY_PROVIDER, DIALOG_SCROLL_STRATEGY_PROVIDER_FACTORY, Dialog, DialogConfig, DialogModule, DialogRef, throwDialogContentAlreadyAttachedError };
+//# sourceMappingURL=dialog.js.map
@@ -3,9 +3,12 @@ import { DOCUMENT } from '@angular/common';
 import { ViewportRuler, ScrollDispatcher, CdkScrollableModule } from '@angular/cdk/scrolling';
 import { normalizePassiveListenerOptions, _getShadowRoot } from '@angular/cdk/platform';
 import { coerceBooleanProperty, coerceElement, coerceArray, coerceNumberProperty } from '@angular/cdk/coercion';
+import { SPACE, ENTER, hasModifierKey, TAB, ESCAPE, RIGHT_ARROW, LEFT_ARROW, DOWN_ARROW, UP_ARROW, Z, Y } from '@angular/cdk/keycodes';
 import { Subject, Subscription, interval, animationFrameScheduler, Observable, merge } from 'rxjs';
 import { takeUntil, startWith, map, take, tap, switchMap } from 'rxjs/operators';
 import { Directionality } from '@angular/cdk/bidi';
+import { LiveAnnouncer } from '@angular/cdk/a11y';
+import { CDK_TABLE_RESIZABLE } from '@angular/cdk/table';
 
 /**
  * @license
@@ -92,6 +95,165 @@ function parseCssPropertyValue(computedStyle, name) {
     const value = computedStyle.getPropertyValue(name);
     return value.split(',').map(part => part.trim());
 }
+/**
+ * Waits for the `transform` transition of an element to finish.
+ * @param element Element whose transition should be awaited.
+ * @param duration Duration of the transition, including the delay, in milliseconds.
+ * @returns Promise that resolves when the transition completes.
+ */
+function waitForTransformTransition(element, duration) {
+    if (duration === 0) {
+        return Promise.resolve();
+    }
+    return new Promise(resolve => {
+        const handler = ((event) => {
+            if (!event || (event.target === element && event.propertyName === 'transform')) {
+                element.removeEventListener('transitionend', handler);
+                element.removeEventListener('transitioncancel', handler);
+                clearTimeout(timeout);
+                resolve();
+            }
+        });
+        // If a transition is short enough, the browser might not fire the `transitionend` event.
+        // Since we know how long it's supposed to take, add a timeout with a 50% buffer that'll
+        // fire if the transition hasn't completed when it was supposed to. We also listen for
+        // `transitioncancel`, because `transitionend` won't fire if the transition is interrupted.
+        const timeout = setTimeout(handler, duration * 1.5);
+        element.addEventListener('transitionend', handler);
+        element.addEventListener('transitioncancel', handler);
+    });
+}
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * Gets the offset of the frame that a node is rendered in, relative to a reference document.
+ * Used to translate coordinates from a same-origin frame into the coordinate space of the
+ * document that the drag&drop services are running in. The offset is zero if the node is
+ * inside the reference document or the frame can't be accessed.
+ * @param node Node whose frame offset should be determined.
+ * @param referenceDocument Document relative to which the offset should be calculated.
+ */
+function getFrameOffset(node, referenceDocument) {
+    const offset = { x: 0, y: 0 };
+    let currentDocument = node.ownerDocument || node;
+    while (currentDocument && currentDocument !== referenceDocument) {
+        const frame = getFrameElement(currentDocument);
+        if (!frame) {
+            break;
+        }
+        const frameOffset = getFrameContentOffset(frame);
+        offset.x += frameOffset.x;
+        offset.y += frameOffset.y;
+        currentDocument = frame.ownerDocument;
+    }
+    return offset;
+}
+/** Gets the document in which an event was dispatched. */
+function getEventDocument(event) {
+    return event.view ? event.view.document : null;
+}
+/**
+ * Finds the top-most element at a specific point, taking shadow roots and same-origin
+ * frames into account. Unlike `elementFromPoint`, the result isn't retargeted to a
+ * shadow host or a frame element if the point is inside one of them.
+ * @param referenceDocument Document from which to start looking.
+ * @param x Position along the X axis, relative to the reference document's viewport.
+ * @param y Position along the Y axis, relative to the reference document's viewport.
+ */
+function getDeepElementFromPoint(referenceDocument, x, y) {
+    let root = referenceDocument;
+    let result = null;
+    while (root) {
+        const element = root.elementFromPoint(x, y);
+        // A shadow root will return its host if there's nothing inside of it at the point.
+        if (!element || element === result) {
+            break;
+        }
+        result = element;
+        if (element.shadowRoot) {
+            root = element.shadowRoot;
+        }
+        else {
+            const frameDocument = getFrameDocument(element);
+            if (!frameDocument) {
+                break;
+            }
+            const frameOffset = getFrameContentOffset(element);
+            x -= frameOffset.x;
+            y -= frameOffset.y;
+            root = frameDocument;
+        }
+    }
+    return result;
+}
+/**
+ * Checks whether a node contains another node, including through shadow roots and frames.
+ * @param ancestor Node that may contain the other node.
+ * @param node Node that is being checked.
+ */
+function deepContains(ancestor, node) {
+    let current = node;
+    while (current) {
+        if (current === ancestor) {
+            return true;
+        }
+        current = current.parentNode || current.host ||
+            (current.nodeType === current.DOCUMENT_NODE ?
+                getFrameElement(current) : null);
+    }
+    return false;
+}
+/** Gets the closest ancestor of an element that matches a selector. */
+function getClosestMatchingAncestor(element, selector) {
+    let currentElement = element.parentElement;
+    while (currentElement) {
+        // IE doesn't support `matches` so we have to fall back to `msMatchesSelector`.
+        if (currentElement.matches ? currentElement.matches(selector) :
+            currentElement.msMatchesSelector(selector)) {
+            return currentElement;
+        }
+        currentElement = currentElement.parentElement;
+    }
+    return null;
+}
+/** Gets the frame element that is hosting a document, if it's accessible. */
+function getFrameElement(document) {
+    try {
+        return document.defaultView ? document.defaultView.frameElement : null;
+    }
+    catch (_a) {
+        // Accessing the frame element of a cross-origin frame throws.
+        return null;
+    }
+}
+/** Gets the content document of a frame element, if it's a same-origin frame. */
+function getFrameDocument(element) {
+    if (element.nodeName !== 'IFRAME' && element.nodeName !== 'FRAME') {
+        return null;
+    }
+    try {
+        return element.contentDocument;
+    }
+    catch (_a) {
+        return null;
+    }
+}
+/** Gets the position of a frame's content box, relative to the viewport of its document. */
+function getFrameContentOffset(frame) {
+    const rect = frame.getBoundingClientRect();
+    const view = frame.ownerDocument.defaultView;
+    const styles = view ? view.getComputedStyle(frame) : null;
+    return {
+        x: rect.left + frame.clientLeft + (styles ? parseFloat(styles.paddingLeft) || 0 : 0),
+        y: rect.top + frame.clientTop + (styles ? parseFloat(styles.paddingTop) || 0 : 0)
+    };
+}
 
 /**
  * @license
@@ -100,18 +262,26 @@ function parseCssPropertyValue(computedStyle, name) {
  * Use of this source code is governed by an MIT-style license that can be
  * found in the LICENSE file at https://angular.io/license
  */
-/** Gets a mutable version of an element's bounding `ClientRect`. */
-function getMutableClientRect(element) {
+/**
+ * Gets a mutable version of an element's bounding `ClientRect`.
+ * @param element Element to be measured.
+ * @param referenceDocument Document relative to whose viewport the element should be measured.
+ *     Only makes a difference for elements inside same-origin frames.
+ */
+function getMutableClientRect(element, referenceDocument) {
     const clientRect = element.getBoundingClientRect();
+    const offset = referenceDocument ? getFrameOffset(element, referenceDocument) : null;
+    const offsetX = offset ? offset.x : 0;
+    const offsetY = offset ? offset.y : 0;
     // We need to clone the `clientRect` here, because all the values on it are readonly
     // and we need to be able to update them. Also we can't use a spread here, because
     // the values on a `ClientRect` aren't own properties. See:
     // https://developer.mozilla.org/en-US/docs/Web/API/Element/getBoundingClientRect#Notes
     return {
-        top: clientRect.top,
-        right: clientRect.right,
-        bottom: clientRect.bottom,
-        left: clientRect.left,
+        top: clientRect.top + offsetY,
+        right: clientRect.right + offsetX,
+        bottom: clientRect.bottom + offsetY,
+        left: clientRect.left + offsetX,
         width: clientRect.width,
         height: clientRect.height
     };
@@ -181,7 +351,7 @@ class ParentPositionTracker {
         elements.forEach(element => {
             this.positions.set(element, {
                 scrollPosition: { top: element.scrollTop, left: element.scrollLeft },
-                clientRect: getMutableClientRect(element)
+                clientRect: getMutableClientRect(element, this._document)
             });
         });
     }
@@ -288,6 +458,171 @@ function transferCanvasData(source, clone) {
     }
 }
 
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * Runs a custom animation function, making sure that errors
+ * inside of it don't prevent the drag sequence from completing.
+ * @returns Promise that resolves when the animation completes.
+ */
+function runDragAnimation(animationFn, animation) {
+    let result;
+    try {
+        result = animationFn(animation);
+    }
+    catch (_a) {
+        return Promise.resolve();
+    }
+    return Promise.resolve(result).then(() => { }, () => { });
+}
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * Cursors that are shown for each of the drop effects. Has to be kept in sync with the
+ * `cdk-drag-drop` Sass mixin.
+ */
+const DROP_EFFECT_CURSORS = {
+    move: '',
+    copy: 'copy',
+    link: 'alias',
+    none: 'no-drop',
+};
+/**
+ * Gets the effect of dropping an item with particular kinds, based on the first matching rule.
+ * @param rules Rules that should be checked.
+ * @param kinds Kinds of the item that is being dropped.
+ * @returns Effect of the first rule that matches, or `none` if no rule matches.
+ */
+function getAcceptedDropEffect(rules, kinds) {
+    for (const rule of rules) {
+        const ruleKinds = Array.isArray(rule.kinds) ? rule.kinds : [rule.kinds];
+        if (ruleKinds.indexOf('*') > -1 || ruleKinds.some(kind => kinds.indexOf(kind) > -1)) {
+            return rule.effect || 'move';
+        }
+    }
+    return 'none';
+}
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * Default speed, in pixels per frame, at which to auto-scroll while an item is being dragged
+ * freely. Starts off slowly and speeds up as the pointer gets closer to the edge.
+ * @param proximity How close the pointer is to the edge, from 0 at the start of the
+ *     auto-scroll region to 1 at the edge itself.
+ */
+function defaultAutoScrollSpeed(proximity) {
+    return Math.max(1, Math.round(proximity * proximity * 20));
+}
+/**
+ * Increments the vertical scroll position of a node.
+ * @param node Node whose scroll position should change.
+ * @param amount Amount of pixels that the `node` should be scrolled.
+ */
+function incrementVerticalScroll(node, amount) {
+    if (node === window) {
+        node.scrollBy(0, amount);
+    }
+    else {
+        // Ideally we could use `Element.scrollBy` here as well, but IE and Edge don't support it.
+        node.scrollTop += amount;
+    }
+}
+/**
+ * Increments the horizontal scroll position of a node.
+ * @param node Node whose scroll position should change.
+ * @param amount Amount of pixels that the `node` should be scrolled.
+ */
+function incrementHorizontalScroll(node, amount) {
+    if (node === window) {
+        node.scrollBy(amount, 0);
+    }
+    else {
+        // Ideally we could use `Element.scrollBy` here as well, but IE and Edge don't support it.
+        node.scrollLeft += amount;
+    }
+}
+/**
+ * Gets the amount by which a scrollable region has to be scrolled along a single axis so that
+ * an element inside of it becomes visible. Elements that are larger than the region are
+ * aligned with its start edge.
+ * @param regionStart Start edge of the visible part of the region.
+ * @param regionEnd End edge of the visible part of the region.
+ * @param start Start edge of the element.
+ * @param end End edge of the element.
+ */
+function getScrollIntoViewDelta(regionStart, regionEnd, start, end) {
+    if (start < regionStart) {
+        return start - regionStart;
+    }
+    if (end > regionEnd) {
+        return Math.min(end - regionEnd, start - regionStart);
+    }
+    return 0;
+}
+/**
+ * Gets the velocity, in pixels per frame, at which a scrollable region should be auto-scrolled
+ * based on how close the user's pointer is to its edges.
+ * @param clientRect Dimensions of the scrollable region.
+ * @param pointerX Position of the user's pointer along the x axis.
+ * @param pointerY Position of the user's pointer along the y axis.
+ * @param threshold Distance, in pixels, from the edges at which to start scrolling.
+ * @param speed Function that determines the speed based on how close the pointer is to an edge.
+ * @param element Element that will be scrolled. Used to check whether it can be scrolled any
+ *     further. Should be omitted for the viewport.
+ */
+function getAutoScrollVelocity(clientRect, pointerX, pointerY, threshold, speed, element) {
+    // Elements are only scrolled while the pointer is inside of them, whereas
+    // the viewport is also scrolled if the pointer has been moved past its edges.
+    if (threshold <= 0 || (element && !isInsideClientRect(clientRect, pointerX, pointerY))) {
+        return { x: 0, y: 0 };
+    }
+    return {
+        x: getAxisVelocity(pointerX - clientRect.left, clientRect.right - pointerX, threshold, speed, element ? element.scrollLeft : null, element ? element.scrollWidth - element.clientWidth : null),
+        y: getAxisVelocity(pointerY - clientRect.top, clientRect.bottom - pointerY, threshold, speed, element ? element.scrollTop : null, element ? element.scrollHeight - element.clientHeight : null)
+    };
+}
+/**
+ * Gets the auto-scroll velocity along a single axis.
+ * @param distanceToStart Distance from the pointer to the start edge.
+ * @param distanceToEnd Distance from the pointer to the end edge.
+ * @param threshold Distance from the edges at which to start scrolling.
+ * @param speed Function that determines the speed based on how close the pointer is to an edge.
+ * @param scrollPosition Current scroll position, or null if it can't be determined.
+ * @param maxScrollPosition Maximum scroll position, or null if it can't be determined.
+ */
+function getAxisVelocity(distanceToStart, distanceToEnd, threshold, speed, scrollPosition, maxScrollPosition) {
+    if (distanceToStart < threshold && distanceToStart <= distanceToEnd) {
+        return scrollPosition === null || scrollPosition > 0 ?
+            -speed(getProximity(distanceToStart, threshold)) : 0;
+    }
+    if (distanceToEnd < threshold) {
+        return scrollPosition === null || scrollPosition < maxScrollPosition ?
+            speed(getProximity(distanceToEnd, threshold)) : 0;
+    }
+    return 0;
+}
+/** Converts the distance between the pointer and an edge into a value between 0 and 1. */
+function getProximity(distance, threshold) {
+    return Math.min(1, Math.max(0, 1 - distance / threshold));
+}
+
 /**
  * @license
  * Copyright Google LLC All Rights Reserved.
@@ -306,6 +641,11 @@ const activeEventListenerOptions = normalizePassiveListenerOptions({ passive: fa
  * addition to touch events.
  */
 const MOUSE_EVENT_IGNORE_TIME = 800;
+/**
+ * Offset in pixels between the stacked copies of the items in the
+ * preview of a drag sequence in which multiple items are being dragged.
+ */
+const MULTI_DRAG_PREVIEW_OFFSET = 4;
 /**
  * Reference to a draggable item. Used to manipulate or dispose of the item.
  */
@@ -325,8 +665,21 @@ class DragRef {
         this._passiveTransform = { x: 0, y: 0 };
         /** CSS `transform` that is applied to the element while it's being dragged. */
         this._activeTransform = { x: 0, y: 0 };
+        /**
+         * All of the items that are being dragged, including the current one, when multiple
+         * selected items are being dragged together. Sorted by their index in the initial container.
+         */
+        this._multiDragItems = [];
+        /**
+         * Item whose drag sequence the current item is a part of, if the current item has
+         * been selected together with the item that the user is dragging.
+         * @docs-private
+         */
+        this._multiDragSource = null;
         /** Emits when the item is being moved. */
         this._moveEvents = new Subject();
+        /** Effect of dropping the item at the current pointer position. */
+        this._dropEffect = 'move';
         /** Subscription to pointer movement events. */
         this._pointerMoveSubscription = Subscription.EMPTY;
         /** Subscription to the event that is dispatched when the user lifts their pointer. */
@@ -345,11 +698,60 @@ class DragRef {
         this._disabledHandles = new Set();
         /** Layout direction of the item. */
         this._direction = 'ltr';
+        /** Data that is exposed to native drop targets, if the item can be dragged out as native data. */
+        this._nativeDragData = null;
+        /** Whether the `draggable` attribute of the root element was set by the drag ref. */
+        this._hasSetNativeDraggable = false;
+        /** Document that the root element is in, if it was registered because it's inside a frame. */
+        this._registeredDocument = null;
+        /** Whether the current drag sequence was started using the keyboard. */
+        this._isKeyboardDragging = false;
+        /** Element that had focus when a keyboard drag sequence was started. */
+        this._keyboardDragOrigin = null;
+        /** Sort index at which the item was picked up using the keyboard. Used when cancelling. */
+        this._keyboardInitialSortIndex = -1;
+        /** Scrollable parents of the item. Taken into account while it's dragged outside a list. */
+        this._scrollableParents = [];
+        /** Node that is being auto-scrolled while the item is dragged outside of a drop list. */
+        this._autoScrollNode = null;
+        /** Velocity, in pixels per frame, at which the `_autoScrollNode` is being scrolled. */
+        this._autoScrollVelocity = { x: 0, y: 0 };
+        /** Used to signal to the current auto-scroll sequence when to stop. */
+        this._stopAutoScrollTimers = new Subject();
         /**
          * Amount of milliseconds to wait after the user has put their
          * pointer down before starting to drag the element.
          */
         this.dragStartDelay = 0;
+        /**
+         * Whether to auto-scroll the viewport and the item's scrollable parents when the user moves
+         * their pointer close to the edges while the item is being dragged outside of a drop list.
+         * Items inside of a drop list are auto-scrolled based on the list's settings. Disabled by
+         * default, in order to avoid scrolling the page unexpectedly while a free item is dragged.
+         */
+        this.autoScrollDisabled = true;
+        /**
+         * Distance, in pixels, from the edges of the viewport or a scrollable parent at which to
+         * start auto-scrolling while the item is being dragged outside of a drop list.
+         */
+        this.autoScrollThreshold = 50;
+        /**
+         * Function that determines how fast to auto-scroll, in pixels per frame, while the item is
+         * being dragged outside of a drop list. Gets called with a value between 0 and 1 describing how
+         * close the pointer is to the edge, 1 being at the edge itself.
+         */
+        this.autoScrollSpeed = defaultAutoScrollSpeed;
+        /**
+         * Function used to animate the preview back to the placeholder once the item is dropped and
+         * to animate the placeholder when it enters a new container. The preview is animated using a
+         * CSS transition if no function is set, whereas the placeholder isn't animated.
+         */
+        this.animationFn = null;
+        /**
+         * Whether the item can be picked up and moved around its drop container using the keyboard.
+         * Disabled by default, because the item or one of its handles has to be focusable.
+         */
+        this.keyboardDraggingEnabled = false;
         this._disabled = false;
         /** Emits as the drag sequence is being prepared. */
         this.beforeStarted = new Subject();
@@ -363,6 +765,22 @@ class DragRef {
         this.entered = new Subject();
         /** Emits when the user removes the item its container by dragging it into another container. */
         this.exited = new Subject();
+        /** Emits when the user performs an action while dragging the item using the keyboard. */
+        this.keyboardAction = new Subject();
+        /** Emits when the user starts dragging the item out as native data. */
+        this.nativeDragStarted = new Subject();
+        /**
+         * Emits when a native drag sequence of the item has ended. The `dropEffect` is `none` if the
+         * data wasn't dropped anywhere, otherwise it's the effect that was picked by the drop target.
+         */
+        this.nativeDragEnded = new Subject();
+        /**
+         * Emits when the effect of dropping the item changes, e.g. because the user moved their
+         * pointer over a list that only accepts copies of the item or that refuses it altogether.
+         */
+        this.dropEffectChanged = new Subject();
+        /** Emits when an animation of the preview or the placeholder is done. */
+        this.animationDone = new Subject();
         /** Emits when the user drops the item inside a container. */
         this.dropped = new Subject();
         /**
@@ -370,6 +788,25 @@ class DragRef {
          * because this event will fire for every pixel that the user has dragged.
          */
         this.moved = this._moveEvents;
+        /** Kinds of data that the item represents. Used to match the `acceptRules` of drop lists. */
+        this.kinds = [];
+        /** Starts the interval that'll auto-scroll the `_autoScrollNode`. */
+        this._startAutoScrollInterval = () => {
+            interval(0, animationFrameScheduler)
+                .pipe(takeUntil(this._stopAutoScrollTimers))
+                .subscribe(() => {
+                const node = this._autoScrollNode;
+                const { x, y } = this._autoScrollVelocity;
+                if (node) {
+                    if (y) {
+                        incrementVerticalScroll(node, y);
+                    }
+                    if (x) {
+                        incrementHorizontalScroll(node, x);
+                    }
+                }
+            });
+        };
         /** Handler for the `mousedown`/`touchstart` events. */
         this._pointerDown = (event) => {
             this.beforeStarted.next();
@@ -387,6 +824,86 @@ class DragRef {
                 this._initializeDragSequence(this._rootElement, event);
             }
         };
+        /** Handler for the `dragstart` event. Exposes the item's data to native drop targets. */
+        this._nativeDragStart = (event) => {
+            const data = this._nativeDragData;
+            // Don't handle events coming from any nested elements that are draggable.
+            if (!data || event.target !== this._rootElement || !event.dataTransfer) {
+                return;
+            }
+            if (this.disabled) {
+                event.preventDefault();
+                return;
+            }
+            const dataTransfer = event.dataTransfer;
+            Object.keys(data).forEach(format => dataTransfer.setData(format, data[format]));
+            dataTransfer.effectAllowed = 'copyMove';
+            this._ngZone.run(() => this.nativeDragStarted.next({ source: this, event }));
+        };
+        /** Handler for the `dragend` event of a native drag sequence. */
+        this._nativeDragEnd = (event) => {
+            if (this._nativeDragData && event.target === this._rootElement) {
+                const dropEffect = event.dataTransfer ? event.dataTransfer.dropEffect : 'none';
+                this._ngZone.run(() => this.nativeDragEnded.next({ source: this, dropEffect, event }));
+            }
+        };
+        /** Handler for the `click` event. Used to update the selection of the drop container. */
+        this._click = (event) => {
+            // Clicks that are the result of the user dropping the item shouldn't change the selection.
+            if (this._dropContainer && !this._hasStartedDragging && !this.disabled) {
+                const container = this._dropContainer;
+                this._ngZone.run(() => container._handleItemClick(this, event));
+            }
+        };
+        /** Handler for `keydown` events on the root element. Starts a keyboard drag sequence. */
+        this._keydown = (event) => {
+            const keyCode = event.keyCode;
+            const container = this._dropContainer;
+            // Keyboard dragging is only supported inside of a drop container, because there's
+            // no meaningful way of moving a standalone item around using the arrow keys.
+            if ((keyCode !== SPACE && keyCode !== ENTER) || hasModifierKey(event) || !container ||
+                !this.keyboardDraggingEnabled || this.disabled || this.isDragging() ||
+                this._isKeyboardDragging || container.isDragging() || container.isReceiving() ||
+                !this._isKeyboardDragTarget(event.target)) {
+                return;
+            }
+            event.preventDefault();
+            this._ngZone.run(() => this._startKeyboardDragSequence(event));
+        };
+        /** Handler for `keydown` events on the document while dragging using the keyboard. */
+        this._keyboardDragKeydown = (event) => {
+            let action;
+            switch (event.keyCode) {
+                case UP_ARROW:
+                    action = () => this._moveWithKeyboard('up');
+                    break;
+                case DOWN_ARROW:
+                    action = () => this._moveWithKeyboard('down');
+                    break;
+                case LEFT_ARROW:
+                    action = () => this._moveWithKeyboard('left');
+                    break;
+                case RIGHT_ARROW:
+                    action = () => this._moveWithKeyboard('right');
+                    break;
+                case SPACE:
+                case ENTER:
+                    action = () => this._endKeyboardDragSequence(false);
+                    break;
+                case ESCAPE:
+                    action = () => this._endKeyboardDragSequence(true);
+                    break;
+                // Keep focus from moving away while the item is being dragged.
+                case TAB:
+                    action = () => { };
+                    break;
+            }
+            if (action && !hasModifierKey(event)) {
+                event.preventDefault();
+                event.stopPropagation();
+                this._ngZone.run(action);
+            }
+        };
         /** Handler that is invoked when the user moves their pointer after they've initiated a drag. */
         this._pointerMove = (event) => {
             const pointerPosition = this._getPointerPositionOnPage(event);
@@ -423,7 +940,8 @@ class DragRef {
                 // Cache the preview element rect if we haven't cached it already or if
                 // we cached it too early before the element dimensions were computed.
                 if (!this._previewRect || (!this._previewRect.width && !this._previewRect.height)) {
-                    this._previewRect = (this._preview || this._rootElement).getBoundingClientRect();
+                    this._previewRect =
+                        getMutableClientRect(this._preview || this._rootElement, this._document);
                 }
             }
             // We prevent the default action down here so that we know that dragging has started. This is
@@ -443,12 +961,18 @@ class DragRef {
                     constrainedPointerPosition.x - this._pickupPositionOnPage.x + this._passiveTransform.x;
                 activeTransform.y =
                     constrainedPointerPosition.y - this._pickupPositionOnPage.y + this._passiveTransform.y;
+                if (this.constrainFreeDragPosition) {
+                    const { x, y } = this.constrainFreeDragPosition(Object.assign({}, activeTransform), this);
+                    activeTransform.x = x;
+                    activeTransform.y = y;
+                }
                 this._applyRootElementTransform(activeTransform.x, activeTransform.y);
                 // Apply transform as attribute if dragging and svg element to work for IE
                 if (typeof SVGElement !== 'undefined' && this._rootElement instanceof SVGElement) {
                     const appliedTransform = `translate(${activeTransform.x} ${activeTransform.y})`;
                     this._rootElement.setAttribute('transform', appliedTransform);
                 }
+                this._startAutoScrollIfNecessary(pointerPosition.x, pointerPosition.y);
             }
             // Since this event gets fired for every pixel while dragging, we only
             // want to fire it if the consumer opted into it. Also we have to
@@ -460,7 +984,9 @@ class DragRef {
                         pointerPosition: constrainedPointerPosition,
                         event,
                         distance: this._getDragDistance(constrainedPointerPosition),
-                        delta: this._pointerDirectionDelta
+                        delta: this._pointerDirectionDelta,
+                        level: this._dropContainer ?
+                            this._initialContainer._getContainerLevel(this._dropContainer) : 0
                     });
                 });
             }
@@ -503,6 +1029,10 @@ class DragRef {
     getVisibleElement() {
         return this.isDragging() ? this.getPlaceholderElement() : this.getRootElement();
     }
+    /** Whether the item is part of the selection of its drop container. */
+    isSelected() {
+        return !!this._dropContainer && this._dropContainer.isItemSelected(this);
+    }
     /** Registers the handles that can be used to drag the element. */
     withHandles(handles) {
         this._handles = handles.map(handle => coerceElement(handle));
@@ -551,9 +1081,14 @@ class DragRef {
             this._ngZone.runOutsideAngular(() => {
                 element.addEventListener('mousedown', this._pointerDown, activeEventListenerOptions);
                 element.addEventListener('touchstart', this._pointerDown, passiveEventListenerOptions);
+                element.addEventListener('click', this._click);
+                element.addEventListener('keydown', this._keydown);
+                element.addEventListener('dragstart', this._nativeDragStart);
+                element.addEventListener('dragend', this._nativeDragEnd);
             });
             this._initialTransform = undefined;
             this._rootElement = element;
+            this._syncNativeDraggable();
         }
         if (typeof SVGElement !== 'undefined' && this._rootElement instanceof SVGElement) {
             this._ownerSVGElement = this._rootElement.ownerSVGElement;
@@ -583,16 +1118,21 @@ class DragRef {
         this._removeRootElementListeners(this._rootElement);
         // Do this check before removing from the registry since it'll
         // stop being considered as dragged once it is removed.
-        if (this.isDragging()) {
+        if (this.isDragging() || this._multiDragSource) {
             // Since we move out the element to the end of the body while it's being
             // dragged, we have to make sure that it's removed if it gets destroyed.
             removeNode(this._rootElement);
         }
         removeNode(this._anchor);
+        this._resetDropEffect();
         this._destroyPreview();
         this._destroyPlaceholder();
         this._dragDropRegistry.removeDragItem(this);
         this._removeSubscriptions();
+        if (this._registeredDocument) {
+            this._dragDropRegistry.removeDocument(this._registeredDocument);
+            this._registeredDocument = null;
+        }
         this.beforeStarted.complete();
         this.started.complete();
         this.released.complete();
@@ -600,14 +1140,26 @@ class DragRef {
         this.entered.complete();
         this.exited.complete();
         this.dropped.complete();
+        this.keyboardAction.complete();
+        this.nativeDragStarted.complete();
+        this.nativeDragEnded.complete();
+        this.animationDone.complete();
+        this.dropEffectChanged.complete();
         this._moveEvents.complete();
         this._handles = [];
         this._disabledHandles.clear();
         this._dropContainer = undefined;
         this._resizeSubscription.unsubscribe();
+        this._stopAutoScrollTimers.complete();
+        this._scrollableParents = [];
         this._parentPositions.clear();
+        this._multiDragItems = [];
         this._boundaryElement = this._rootElement = this._ownerSVGElement = this._placeholderTemplate =
-            this._previewTemplate = this._anchor = this._parentDragRef = null;
+            this._previewTemplate = this._anchor = this._parentDragRef = this._multiDragSource = null;
+    }
+    /** Whether the item is currently being dragged using the keyboard. */
+    isKeyboardDragging() {
+        return this._isKeyboardDragging && this.isDragging();
     }
     /** Checks whether the element is currently being dragged. */
     isDragging() {
@@ -644,6 +1196,19 @@ class DragRef {
         this._direction = direction;
         return this;
     }
+    /**
+     * Sets the scrollable parents of the item. They'll be auto-scrolled when the user moves
+     * their pointer close to their edges while the item is being dragged outside of a drop list.
+     * @param elements Elements that can be scrolled, ordered from the innermost to the outermost.
+     */
+    withScrollableParents(elements) {
+        this._scrollableParents = elements.slice();
+        return this;
+    }
+    /** Gets the scrollable parents that are registered with the item. */
+    getScrollableParents() {
+        return this._scrollableParents;
+    }
     /** Sets the container that the item is part of. */
     _withDropContainer(container) {
         this._dropContainer = container;
@@ -676,18 +1241,112 @@ class DragRef {
         this._previewContainer = value;
         return this;
     }
+    /**
+     * Allows the item to be dragged out as native data, e.g. into a different browser tab, another
+     * application or a drop list that accepts native drops. While native data is set, the item is
+     * dragged by the browser's own drag&drop, rather than by the CDK, and its handles are ignored.
+     * @param data Data to be exposed to the drop targets, keyed by its format (e.g. `text/plain`).
+     *     Pass in `null` to go back to dragging the item using the CDK.
+     */
+    withNativeDragData(data) {
+        this._nativeDragData = data;
+        this._syncNativeDraggable();
+        return this;
+    }
     /** Updates the item's sort order based on the last-known pointer position. */
     _sortFromLastPointerPosition() {
+        // Items dragged using the keyboard aren't sorted based on their position. Keep the
+        // preview on top of the placeholder instead, since it moves when the list is scrolled.
+        if (this._isKeyboardDragging) {
+            this._syncKeyboardDragPosition();
+            return;
+        }
         const position = this._lastKnownPointerPosition;
         if (position && this._dropContainer) {
             this._updateActiveDropContainer(this._getConstrainedPointerPosition(position), position);
         }
     }
+    /**
+     * Moves the item out of its container while it's being dragged together with another item.
+     * @param source Item that the user is dragging.
+     * @docs-private
+     */
+    _detachForMultiDrag(source) {
+        const element = this._rootElement;
+        const anchor = this._anchor = this._anchor || this._document.createComment('');
+        // Similarly to the item being dragged, we hide the element and move it to the end of the
+        // body so that it doesn't take up space in the list, while we keep track of its position.
+        this._multiDragSource = source;
+        element.parentNode.insertBefore(anchor, element);
+        toggleVisibility(element, false);
+        this._getRootDocument().body.appendChild(element);
+    }
+    /**
+     * Restores the item to its position in the DOM after it was dragged together with another item.
+     * @docs-private
+     */
+    _restoreAfterMultiDrag() {
+        toggleVisibility(this._rootElement, true);
+        this._anchor.parentNode.replaceChild(this._rootElement, this._anchor);
+        this._multiDragSource = null;
+    }
     /** Unsubscribes from the global subscriptions. */
     _removeSubscriptions() {
         this._pointerMoveSubscription.unsubscribe();
         this._pointerUpSubscription.unsubscribe();
         this._scrollSubscription.unsubscribe();
+        this._getRootDocument().removeEventListener('keydown', this._keyboardDragKeydown, true);
+        this._stopAutoScrolling();
+    }
+    /**
+     * Starts auto-scrolling the closest scrollable parent or the viewport if the user's pointer
+     * is close to their edges, while the item is being dragged outside of a drop list.
+     * @param pointerX User's pointer position along the x axis.
+     * @param pointerY User's pointer position along the y axis.
+     */
+    _startAutoScrollIfNecessary(pointerX, pointerY) {
+        if (this.autoScrollDisabled) {
+            return;
+        }
+        const threshold = this.autoScrollThreshold;
+        const speed = this.autoScrollSpeed;
+        let scrollNode;
+        let velocity = { x: 0, y: 0 };
+        // Check whether we should start scrolling any of the parent containers.
+        this._parentPositions.positions.forEach((position, element) => {
+            // The viewport is handled below.
+            if (element === this._document || !position.clientRect || scrollNode) {
+                return;
+            }
+            const elementVelocity = getAutoScrollVelocity(position.clientRect, pointerX, pointerY, threshold, speed, element);
+            if (elementVelocity.x || elementVelocity.y) {
+                scrollNode = element;
+                velocity = elementVelocity;
+            }
+        });
+        // Otherwise check if we can start scrolling the viewport.
+        if (!scrollNode) {
+            const { width, height } = this._viewportRuler.getViewportSize();
+            const clientRect = { width, height, top: 0, right: width, bottom: height, left: 0 };
+            velocity = getAutoScrollVelocity(clientRect, pointerX, pointerY, threshold, speed);
+            scrollNode = window;
+        }
+        if (!velocity.x && !velocity.y) {
+            this._stopAutoScrolling();
+        }
+        else {
+            const isScrolling = !!this._autoScrollNode;
+            this._autoScrollNode = scrollNode;
+            this._autoScrollVelocity = velocity;
+            if (!isScrolling) {
+                this._ngZone.runOutsideAngular(this._startAutoScrollInterval);
+            }
+        }
+    }
+    /** Stops auto-scrolling while the item is being dragged outside of a drop list. */
+    _stopAutoScrolling() {
+        this._stopAutoScrollTimers.next();
+        this._autoScrollNode = null;
     }
     /** Destroys the preview element and its ViewRef. */
     _destroyPreview() {
@@ -724,6 +1383,7 @@ class DragRef {
         this._removeSubscriptions();
         this._dragDropRegistry.stopDragging(this);
         this._toggleNativeDragInteractions();
+        this._resetDropEffect();
         if (this._handles) {
             this._rootElement.style.webkitTapHighlightColor = this._rootElementTapHighlight;
         }
@@ -735,7 +1395,7 @@ class DragRef {
             // Stop scrolling immediately, instead of waiting for the animation to finish.
             this._dropContainer._stopScrolling();
             this._animatePreviewToPlaceholder().then(() => {
-                this._cleanupDragArtifacts(event);
+                this._cleanupDragArtifacts(this._getPointerPositionOnPage(event));
                 this._cleanupCachedDimensions();
                 this._dragDropRegistry.stopDragging(this);
             });
@@ -766,6 +1426,7 @@ class DragRef {
         if (dropContainer) {
             const element = this._rootElement;
             const parent = element.parentNode;
+            const multiDragItems = this._multiDragItems = dropContainer._getMultiDragItems(this);
             const preview = this._preview = this._createPreviewElement();
             const placeholder = this._placeholder = this._createPlaceholderElement();
             const anchor = this._anchor = this._anchor || this._document.createComment('');
@@ -773,24 +1434,42 @@ class DragRef {
             const shadowRoot = this._getShadowRoot();
             // Insert an anchor node so that we can restore the element's position in the DOM.
             parent.insertBefore(anchor, element);
+            // The rest of the selected items are dragged together with the current one
+            // so they have to leave their places in the list while the user is dragging.
+            multiDragItems.forEach(item => item !== this && item._detachForMultiDrag(this));
             // We move the element out at the end of the body and we make it hidden, because keeping it in
             // place will throw off the consumer's `:last-child` selectors. We can't remove the element
             // from the DOM completely, because iOS will stop firing all subsequent events in the chain.
             toggleVisibility(element, false);
-            this._document.body.appendChild(parent.replaceChild(placeholder, element));
+            this._getRootDocument().body.appendChild(parent.replaceChild(placeholder, element));
             this._getPreviewInsertionPoint(parent, shadowRoot).appendChild(preview);
             this.started.next({ source: this }); // Emit before notifying the container.
             dropContainer.start();
             this._initialContainer = dropContainer;
-            this._initialIndex = dropContainer.getItemIndex(this);
-        }
-        else {
-            this.started.next({ source: this });
-            this._initialContainer = this._initialIndex = undefined;
+            this._dropEffect = 'move';
+            preview.classList.add('cdk-drag-effect-move');
+            if (multiDragItems.length > 1) {
+                // Use the indices in the list, rather than the sorted ones, since
+                // the rest of the dragged items aren't part of the sorting anymore.
+                multiDragItems.sort((a, b) => {
+                    return dropContainer._getDraggableIndex(a) - dropContainer._getDraggableIndex(b);
+                });
+                this._initialIndex = dropContainer._getDraggableIndex(this);
+                this._initialIndices = multiDragItems.map(item => dropContainer._getDraggableIndex(item));
+            }
+            else {
+                this._initialIndex = dropContainer.getItemIndex(this);
+                this._initialIndices = [this._initialIndex];
+            }
+        }
+        else {
+            this.started.next({ source: this });
+            this._initialContainer = this._initialIndex = this._initialIndices = undefined;
         }
         // Important to run after we've called `start` on the parent container
         // so that it has had time to resolve its scrollable parents.
-        this._parentPositions.cache(dropContainer ? dropContainer.getScrollableParents() : []);
+        this._parentPositions.cache(dropContainer ?
+            dropContainer.getScrollableParents() : this._scrollableParents);
     }
     /**
      * Sets up the different variables and subscriptions
@@ -804,6 +1483,10 @@ class DragRef {
         if (this._parentDragRef) {
             event.stopPropagation();
         }
+        // Items that can be dragged out as native data are dragged by the browser.
+        if (this._nativeDragData) {
+            return;
+        }
         const isDragging = this.isDragging();
         const isTouchSequence = isTouchEvent(event);
         const isAuxiliaryMouseButton = !isTouchSequence && event.button !== 0;
@@ -840,7 +1523,7 @@ class DragRef {
             this._updateOnScroll(scrollEvent);
         });
         if (this._boundaryElement) {
-            this._boundaryRect = getMutableClientRect(this._boundaryElement);
+            this._boundaryRect = getMutableClientRect(this._boundaryElement, this._document);
         }
         // If we have a custom preview we can't know ahead of time how large it'll be so we position
         // it next to the cursor. The exception is when the consumer has opted into making the preview
@@ -854,16 +1537,23 @@ class DragRef {
         this._pointerDirectionDelta = { x: 0, y: 0 };
         this._pointerPositionAtLastDirectionChange = { x: pointerPosition.x, y: pointerPosition.y };
         this._dragStartTime = Date.now();
+        this._registerRootDocument();
         this._dragDropRegistry.startDragging(this, event);
     }
-    /** Cleans up the DOM artifacts that were added to facilitate the element being dragged. */
-    _cleanupDragArtifacts(event) {
+    /**
+     * Cleans up the DOM artifacts that were added to facilitate the element being dragged.
+     * @param pointerPosition Position of the pointer at the time the item was dropped.
+     */
+    _cleanupDragArtifacts(pointerPosition) {
         // Restore the element's visibility and insert it at its old position in the DOM.
         // It's important that we maintain the position, because moving the element around in the DOM
         // can throw off `NgFor` which does smart diffing and re-creates elements only when necessary,
         // while moving the existing elements in all other cases.
         toggleVisibility(this._rootElement, true);
         this._anchor.parentNode.replaceChild(this._rootElement, this._anchor);
+        const multiDragItems = this._multiDragItems;
+        multiDragItems.forEach(item => item !== this && item._restoreAfterMultiDrag());
+        this._multiDragItems = [];
         this._destroyPreview();
         this._destroyPlaceholder();
         this._boundaryRect = this._previewRect = undefined;
@@ -871,20 +1561,23 @@ class DragRef {
         this._ngZone.run(() => {
             const container = this._dropContainer;
             const currentIndex = container.getItemIndex(this);
-            const pointerPosition = this._getPointerPositionOnPage(event);
-            const distance = this._getDragDistance(this._getPointerPositionOnPage(event));
+            const distance = this._getDragDistance(pointerPosition);
             const isPointerOverContainer = container._isOverContainer(pointerPosition.x, pointerPosition.y);
+            const items = multiDragItems.length ? multiDragItems : [this];
             this.ended.next({ source: this, distance });
             this.dropped.next({
                 item: this,
+                items,
                 currentIndex,
                 previousIndex: this._initialIndex,
+                previousIndices: this._initialIndices,
                 container: container,
                 previousContainer: this._initialContainer,
                 isPointerOverContainer,
-                distance
+                distance,
+                dropEffect: container.getDropEffect(this)
             });
-            container.drop(this, currentIndex, this._initialIndex, this._initialContainer, isPointerOverContainer, distance);
+            container.drop(this, currentIndex, this._initialIndex, this._initialContainer, isPointerOverContainer, distance, items, this._initialIndices);
             this._dropContainer = this._initialContainer;
         });
     }
@@ -904,28 +1597,226 @@ class DragRef {
             newContainer = this._initialContainer;
         }
         if (newContainer && newContainer !== this._dropContainer) {
-            this._ngZone.run(() => {
-                // Notify the old container that the item has left.
-                this.exited.next({ item: this, container: this._dropContainer });
-                this._dropContainer.exit(this);
-                // Notify the new container that the item has entered.
-                this._dropContainer = newContainer;
-                this._dropContainer.enter(this, x, y, newContainer === this._initialContainer &&
-                    // If we're re-entering the initial container and sorting is disabled,
-                    // put item the into its starting index to begin with.
-                    newContainer.sortingDisabled ? this._initialIndex : undefined);
-                this.entered.next({
-                    item: this,
-                    container: newContainer,
-                    currentIndex: newContainer.getItemIndex(this)
-                });
-            });
+            this._ngZone.run(() => this._moveToContainer(newContainer, x, y));
         }
+        // If the pointer is over a list that refuses the item, show the user that it
+        // can't be dropped there, even though it stays inside its current container.
+        const refusingContainer = newContainer ? undefined :
+            this._initialContainer._getRefusingSiblingFromPosition(x, y);
+        this._updateDropEffect(refusingContainer || this._dropContainer);
         this._dropContainer._startScrollingIfNecessary(rawX, rawY);
         this._dropContainer._sortItem(this, x, y, this._pointerDirectionDelta);
         this._preview.style.transform =
             getTransform(x - this._pickupPositionInElement.x, y - this._pickupPositionInElement.y);
     }
+    /**
+     * Updates the effect of dropping the item, based on the container that the user is over.
+     * @param container Container whose effect should be applied.
+     */
+    _updateDropEffect(container) {
+        const effect = container.getDropEffect(this);
+        const previousEffect = this._dropEffect;
+        if (effect !== previousEffect) {
+            const classList = this._preview.classList;
+            classList.remove(`cdk-drag-effect-${previousEffect}`);
+            classList.add(`cdk-drag-effect-${effect}`);
+            // The preview doesn't receive pointer events so the cursor is set through a class on the
+            // body. The cursors themselves come from the `cdk-drag-drop` Sass mixin or from the
+            // `drag-drop-prebuilt.css` file, which also apply them to elements with their own cursor.
+            const bodyClassList = this._document.body.classList;
+            bodyClassList.remove(`cdk-drag-drop-effect-${previousEffect}`);
+            if (DROP_EFFECT_CURSORS[effect]) {
+                bodyClassList.add(`cdk-drag-drop-effect-${effect}`);
+            }
+            this._dropEffect = effect;
+            this.dropEffectChanged.next({ source: this, container, effect });
+        }
+    }
+    /** Restores the cursor that was changed while showing the drop effect feedback. */
+    _resetDropEffect() {
+        if (DROP_EFFECT_CURSORS[this._dropEffect]) {
+            this._document.body.classList.remove(`cdk-drag-drop-effect-${this._dropEffect}`);
+        }
+    }
+    /**
+     * Moves the item from its current container into a different one.
+     * @param newContainer Container into which to move the item.
+     * @param x Position of the item along the X axis.
+     * @param y Position of the item along the Y axis.
+     * @param index Index at which to insert the item. Determined from the position if omitted.
+     */
+    _moveToContainer(newContainer, x, y, index) {
+        // If we're re-entering the initial container and sorting is disabled,
+        // put item the into its starting index to begin with.
+        if (index == null && newContainer === this._initialContainer && newContainer.sortingDisabled) {
+            index = this._initialIndex;
+        }
+        // Measure the placeholder before it's moved so that it can be animated from its old position.
+        const previousRect = this.animationFn ? this._placeholder.getBoundingClientRect() : null;
+        // Notify the old container that the item has left.
+        this.exited.next({ item: this, container: this._dropContainer });
+        this._dropContainer.exit(this);
+        // Notify the new container that the item has entered.
+        this._dropContainer = newContainer;
+        newContainer.enter(this, x, y, index);
+        this._updateDropEffect(newContainer);
+        if (previousRect) {
+            const currentRect = this._placeholder.getBoundingClientRect();
+            this._runAnimation({
+                type: 'enter',
+                element: this._placeholder,
+                item: this,
+                from: { x: previousRect.left - currentRect.left, y: previousRect.top - currentRect.top },
+                to: { x: 0, y: 0 }
+            });
+        }
+        this.entered.next({
+            item: this,
+            container: newContainer,
+            currentIndex: newContainer.getItemIndex(this)
+        });
+    }
+    /**
+     * Whether a keyboard drag sequence can be started from an element. If the item has handles,
+     * the sequence has to start from one of them, otherwise it has to start from the root element.
+     */
+    _isKeyboardDragTarget(target) {
+        if (this._handles.length) {
+            return this._handles.indexOf(target) > -1 && !this._disabledHandles.has(target);
+        }
+        return target === this._rootElement;
+    }
+    /** Starts dragging the item using the keyboard. */
+    _startKeyboardDragSequence(event) {
+        // Give the consumer a chance to sync up their configuration, like `_pointerDown` does.
+        this.beforeStarted.next();
+        if (this.disabled) {
+            return;
+        }
+        const container = this._dropContainer;
+        const rootRect = getMutableClientRect(this._rootElement, this._document);
+        const position = { x: rootRect.left + rootRect.width / 2, y: rootRect.top + rootRect.height / 2 };
+        this._isKeyboardDragging = true;
+        this._keyboardDragOrigin = event.target;
+        this._hasStartedDragging = true;
+        this._hasMoved = false;
+        // Treat the center of the element as the position of the pointer. Custom previews that
+        // don't match the element's size are positioned from their top left corner instead.
+        const previewTemplate = this._previewTemplate;
+        this._pickupPositionInElement = previewTemplate && previewTemplate.template &&
+            !previewTemplate.matchSize ? { x: 0, y: 0 } : { x: rootRect.width / 2, y: rootRect.height / 2 };
+        this._pickupPositionOnPage = this._lastKnownPointerPosition = position;
+        this._pointerDirectionDelta = { x: 0, y: 0 };
+        this._pointerPositionAtLastDirectionChange = { x: position.x, y: position.y };
+        this._dragStartTime = Date.now();
+        this._removeSubscriptions();
+        this._scrollSubscription = this._dragDropRegistry.scroll.subscribe(scrollEvent => {
+            this._updateOnScroll(scrollEvent);
+        });
+        this._ngZone.runOutsideAngular(() => {
+            // The root element loses focus once it's moved out of the list so we listen on the document.
+            this._getRootDocument().addEventListener('keydown', this._keyboardDragKeydown, true);
+        });
+        this._registerRootDocument();
+        this._dragDropRegistry.startDragging(this, event);
+        this._startDragSequence(event);
+        this._keyboardInitialSortIndex = container._getSortIndex(this);
+        this._emitKeyboardAction('started');
+    }
+    /**
+     * Moves the item in the specified direction while dragging using the keyboard. The item is
+     * moved to the next position within its container or into a connected container once it
+     * can't be moved any further.
+     */
+    _moveWithKeyboard(direction) {
+        const container = this._dropContainer;
+        const newIndex = container._getKeyboardSortIndex(this, direction);
+        if (newIndex > -1) {
+            container._sortItemToIndex(this, newIndex);
+        }
+        else {
+            const itemRect = getMutableClientRect(this._placeholder, this._document);
+            const newContainer = this._initialContainer._getSiblingContainerInDirection(this, container, itemRect, direction);
+            if (!newContainer) {
+                return;
+            }
+            // Enter the new container from the edge that is closest to the current position.
+            const containerRect = getMutableClientRect(coerceElement(newContainer.element), this._document);
+            const centerX = clamp(itemRect.left + itemRect.width / 2, containerRect.left + 1, containerRect.right - 1);
+            const centerY = clamp(itemRect.top + itemRect.height / 2, containerRect.top + 1, containerRect.bottom - 1);
+            const x = direction === 'left' ? containerRect.right - 1 :
+                (direction === 'right' ? containerRect.left + 1 : centerX);
+            const y = direction === 'up' ? containerRect.bottom - 1 :
+                (direction === 'down' ? containerRect.top + 1 : centerY);
+            this._moveToContainer(newContainer, x, y);
+        }
+        this._hasMoved = true;
+        this._dropContainer._scrollIntoView(this._placeholder);
+        this._syncKeyboardDragPosition();
+        this._emitKeyboardAction('moved');
+    }
+    /**
+     * Ends a drag sequence that was started using the keyboard.
+     * @param cancel Whether the item should be returned to its initial position.
+     */
+    _endKeyboardDragSequence(cancel) {
+        if (!this.isKeyboardDragging()) {
+            return;
+        }
+        if (cancel) {
+            const initialContainer = this._initialContainer;
+            if (this._dropContainer !== initialContainer) {
+                const rect = getMutableClientRect(coerceElement(initialContainer.element), this._document);
+                this._moveToContainer(initialContainer, rect.left + 1, rect.top + 1, initialContainer._getDraggableIndex(this));
+            }
+            if (initialContainer._getSortIndex(this) !== this._keyboardInitialSortIndex) {
+                initialContainer._sortItemToIndex(this, this._keyboardInitialSortIndex);
+            }
+            initialContainer._scrollIntoView(this._placeholder);
+            this._syncKeyboardDragPosition();
+        }
+        const container = this._dropContainer;
+        const currentIndex = container.getItemIndex(this);
+        const pointerPosition = this._lastKnownPointerPosition;
+        const origin = this._keyboardDragOrigin;
+        this._removeSubscriptions();
+        this._dragDropRegistry.stopDragging(this);
+        this._toggleNativeDragInteractions();
+        this._resetDropEffect();
+        this.released.next({ source: this });
+        container._stopScrolling();
+        this._animatePreviewToPlaceholder().then(() => {
+            this._cleanupDragArtifacts(pointerPosition);
+            this._cleanupCachedDimensions();
+            this._isKeyboardDragging = false;
+            this._keyboardDragOrigin = null;
+            // The drop container is reset to the initial one during the cleanup
+            // so we have to report the container that the item was dropped into.
+            this._emitKeyboardAction(cancel ? 'cancelled' : 'dropped', container, currentIndex);
+            // Restore focus since the element lost it when it was moved out of the list.
+            if (origin && typeof origin.focus === 'function') {
+                origin.focus();
+            }
+        });
+    }
+    /** Moves the preview and the reference position to where the placeholder is rendered. */
+    _syncKeyboardDragPosition() {
+        const placeholderRect = getMutableClientRect(this._placeholder, this._document);
+        const position = this._lastKnownPointerPosition = {
+            x: placeholderRect.left + placeholderRect.width / 2,
+            y: placeholderRect.top + placeholderRect.height / 2
+        };
+        this._preview.style.transform = getTransform(position.x - this._pickupPositionInElement.x, position.y - this._pickupPositionInElement.y);
+    }
+    /**
+     * Emits a keyboard action through the `keyboardAction` stream.
+     * @param action Action that should be emitted.
+     * @param container Container that the item is in. Defaults to the current drop container.
+     * @param currentIndex Index of the item in the container. Measured if omitted.
+     */
+    _emitKeyboardAction(action, container = this._dropContainer, currentIndex = container.getItemIndex(this)) {
+        this.keyboardAction.next({ source: this, action, container, currentIndex });
+    }
     /**
      * Creates the element that will be rendered next to the user's pointer
      * and will be used as a preview of the element that is being dragged.
@@ -978,8 +1869,39 @@ class DragRef {
                 preview.classList.add(previewClass);
             }
         }
+        if (this._multiDragItems.length > 1) {
+            this._addMultiDragItemsToPreview(preview);
+        }
         return preview;
     }
+    /**
+     * Adds copies of the rest of the items that are being dragged to the preview
+     * element. The copies are stacked behind the preview with a small offset.
+     */
+    _addMultiDragItemsToPreview(preview) {
+        let offset = 0;
+        preview.classList.add('cdk-drag-preview-multiple');
+        this._multiDragItems.forEach(item => {
+            if (item === this) {
+                return;
+            }
+            const element = item.getRootElement();
+            const clone = deepCloneNode(element);
+            offset += MULTI_DRAG_PREVIEW_OFFSET;
+            matchElementSize(clone, element.getBoundingClientRect());
+            extendStyles(clone.style, {
+                pointerEvents: 'none',
+                margin: '0',
+                position: 'absolute',
+                top: '0',
+                left: '0',
+                zIndex: '-1',
+                transform: getTransform(offset, offset)
+            });
+            clone.classList.add('cdk-drag-preview-stacked-item');
+            preview.appendChild(clone);
+        });
+    }
     /**
      * Animates the preview element from its current position to the location of the drop placeholder.
      * @returns Promise that resolves when the animation completes.
@@ -989,7 +1911,18 @@ class DragRef {
         if (!this._hasMoved) {
             return Promise.resolve();
         }
-        const placeholderRect = this._placeholder.getBoundingClientRect();
+        const placeholderRect = getMutableClientRect(this._placeholder, this._document);
+        if (this.animationFn) {
+            const previewRect = this._preview.getBoundingClientRect();
+            this._preview.style.transform = getTransform(placeholderRect.left, placeholderRect.top);
+            return this._runAnimation({
+                type: 'return',
+                element: this._preview,
+                item: this,
+                from: { x: previewRect.left, y: previewRect.top },
+                to: { x: placeholderRect.left, y: placeholderRect.top }
+            });
+        }
         // Apply the class that adds a transition to the preview.
         this._preview.classList.add('cdk-drag-animating');
         // Move the preview to the placeholder position.
@@ -999,23 +1932,21 @@ class DragRef {
         // apply its style, we take advantage of the available info to figure out whether we need to
         // bind the event in the first place.
         const duration = getTransformTransitionDurationInMs(this._preview);
-        if (duration === 0) {
-            return Promise.resolve();
-        }
+        const preview = this._preview;
         return this._ngZone.runOutsideAngular(() => {
-            return new Promise(resolve => {
-                const handler = ((event) => {
-                    if (!event || (event.target === this._preview && event.propertyName === 'transform')) {
-                        this._preview.removeEventListener('transitionend', handler);
-                        resolve();
-                        clearTimeout(timeout);
-                    }
-                });
-                // If a transition is short enough, the browser might not fire the `transitionend` event.
-                // Since we know how long it's supposed to take, add a timeout with a 50% buffer that'll
-                // fire if the transition hasn't completed when it was supposed to.
-                const timeout = setTimeout(handler, duration * 1.5);
-                this._preview.addEventListener('transitionend', handler);
+            return waitForTransformTransition(preview, duration).then(() => {
+                this.animationDone.next({ source: this, type: 'return', element: preview });
+            });
+        });
+    }
+    /**
+     * Hands off an animation of the preview or the placeholder to the `animationFn`.
+     * @returns Promise that resolves when the animation completes.
+     */
+    _runAnimation(animation) {
+        return this._ngZone.runOutsideAngular(() => {
+            return runDragAnimation(this.animationFn, animation).then(() => {
+                this.animationDone.next({ source: this, type: animation.type, element: animation.element });
             });
         });
     }
@@ -1045,14 +1976,29 @@ class DragRef {
         const handleElement = referenceElement === this._rootElement ? null : referenceElement;
         const referenceRect = handleElement ? handleElement.getBoundingClientRect() : elementRect;
         const point = isTouchEvent(event) ? event.targetTouches[0] : event;
-        const scrollPosition = this._getViewportScrollPosition();
-        const x = point.pageX - referenceRect.left - scrollPosition.left;
-        const y = point.pageY - referenceRect.top - scrollPosition.top;
+        let x;
+        let y;
+        // The viewport scroll position is for the main document so we can't use
+        // it if the event came from a frame. Both rects are in the frame's viewport.
+        if (this._isEventFromFrame(event)) {
+            x = point.clientX - referenceRect.left;
+            y = point.clientY - referenceRect.top;
+        }
+        else {
+            const scrollPosition = this._getViewportScrollPosition();
+            x = point.pageX - referenceRect.left - scrollPosition.left;
+            y = point.pageY - referenceRect.top - scrollPosition.top;
+        }
         return {
             x: referenceRect.left - elementRect.left + x,
             y: referenceRect.top - elementRect.top + y
         };
     }
+    /** Whether an event was dispatched inside a frame, rather than the main document. */
+    _isEventFromFrame(event) {
+        const eventDocument = getEventDocument(event);
+        return !!eventDocument && eventDocument !== this._document;
+    }
     /** Determines the point of the page that was touched by the user. */
     _getPointerPositionOnPage(event) {
         const scrollPosition = this._getViewportScrollPosition();
@@ -1064,9 +2010,21 @@ class DragRef {
             // throwing an error. The value returned here will be incorrect, but since this only
             // breaks inside a developer tool and the value is only used for secondary information,
             // we can get away with it. See https://bugzilla.mozilla.org/show_bug.cgi?id=1615824.
-            (event.touches[0] || event.changedTouches[0] || { pageX: 0, pageY: 0 }) : event;
-        const x = point.pageX - scrollPosition.left;
-        const y = point.pageY - scrollPosition.top;
+            (event.touches[0] || event.changedTouches[0] ||
+                { pageX: 0, pageY: 0, clientX: 0, clientY: 0 }) : event;
+        let x;
+        let y;
+        // Events from inside a frame are relative to the frame's viewport so we have
+        // to translate them into the coordinate space of the main document.
+        if (this._isEventFromFrame(event)) {
+            const frameOffset = getFrameOffset(getEventDocument(event), this._document);
+            x = point.clientX + frameOffset.x;
+            y = point.clientY + frameOffset.y;
+        }
+        else {
+            x = point.pageX - scrollPosition.left;
+            y = point.pageY - scrollPosition.top;
+        }
         // if dragging SVG element, try to convert from the screen coordinate system to the SVG
         // coordinate system
         if (this._ownerSVGElement) {
@@ -1140,6 +2098,29 @@ class DragRef {
     _removeRootElementListeners(element) {
         element.removeEventListener('mousedown', this._pointerDown, activeEventListenerOptions);
         element.removeEventListener('touchstart', this._pointerDown, passiveEventListenerOptions);
+        element.removeEventListener('click', this._click);
+        element.removeEventListener('keydown', this._keydown);
+        element.removeEventListener('dragstart', this._nativeDragStart);
+        element.removeEventListener('dragend', this._nativeDragEnd);
+        if (this._hasSetNativeDraggable) {
+            element.removeAttribute('draggable');
+            this._hasSetNativeDraggable = false;
+        }
+    }
+    /** Syncs the `draggable` attribute of the root element with the native drag data. */
+    _syncNativeDraggable() {
+        const element = this._rootElement;
+        if (!element) {
+            return;
+        }
+        if (this._nativeDragData) {
+            element.setAttribute('draggable', 'true');
+            this._hasSetNativeDraggable = true;
+        }
+        else if (this._hasSetNativeDraggable) {
+            element.removeAttribute('draggable');
+            this._hasSetNativeDraggable = false;
+        }
     }
     /**
      * Applies a `transform` to the root element, taking into account any existing transforms on it.
@@ -1278,6 +2259,27 @@ class DragRef {
         }
         return this._cachedShadowRoot;
     }
+    /** Gets the document that the root element is in. */
+    _getRootDocument() {
+        return this._rootElement.ownerDocument || this._document;
+    }
+    /**
+     * Registers the document that the root element is in with the drag&drop registry, if it's
+     * different from the main one, so that the item can be dragged out of a frame.
+     */
+    _registerRootDocument() {
+        const rootDocument = this._getRootDocument();
+        if (rootDocument !== this._registeredDocument) {
+            if (this._registeredDocument) {
+                this._dragDropRegistry.removeDocument(this._registeredDocument);
+                this._registeredDocument = null;
+            }
+            if (rootDocument !== this._document) {
+                this._registeredDocument = rootDocument;
+                this._dragDropRegistry.registerDocument(rootDocument);
+            }
+        }
+    }
     /** Gets the element into which the drag preview should be inserted. */
     _getPreviewInsertionPoint(initialParent, shadowRoot) {
         const previewContainer = this._previewContainer || 'global';
@@ -1408,6 +2410,63 @@ function copyArrayItem(currentArray, targetArray, currentIndex, targetIndex) {
         targetArray.splice(to, 0, currentArray[currentIndex]);
     }
 }
+/**
+ * Moves multiple items in an array to another index. The items keep their relative order
+ * and end up next to each other, starting at the target index.
+ * @param array Array in which to move the items.
+ * @param fromIndices Starting indices of the items.
+ * @param toIndex Index at which the first of the items should be placed, after the items
+ *   have been removed from their starting indices.
+ */
+function moveItemsInArray(array, fromIndices, toIndex) {
+    const items = removeItemsAtIndices(array, fromIndices);
+    array.splice(clamp$1(toIndex, array.length), 0, ...items);
+}
+/**
+ * Moves multiple items from one array to another. The items keep their relative
+ * order and end up next to each other, starting at the target index.
+ * @param currentArray Array from which to transfer the items.
+ * @param targetArray Array into which to put the items.
+ * @param currentIndices Indices of the items in their current array.
+ * @param targetIndex Index at which to insert the items.
+ */
+function transferArrayItems(currentArray, targetArray, currentIndices, targetIndex) {
+    const items = removeItemsAtIndices(currentArray, currentIndices);
+    targetArray.splice(clamp$1(targetIndex, targetArray.length), 0, ...items);
+}
+/**
+ * Copies multiple items from one array to another, leaving them in their original positions
+ * in the current array. The copied items keep their relative order in the target array.
+ * @param currentArray Array from which to copy the items.
+ * @param targetArray Array into which is copy the items.
+ * @param currentIndices Indices of the items in their current array.
+ * @param targetIndex Index at which to insert the items.
+ */
+function copyArrayItems(currentArray, targetArray, currentIndices, targetIndex) {
+    const items = getSortedIndices(currentIndices, currentArray.length)
+        .map(index => currentArray[index]);
+    targetArray.splice(clamp$1(targetIndex, targetArray.length), 0, ...items);
+}
+/**
+ * Removes the items at the specified indices from an array.
+ * @returns The removed items, in the order in which they were in the array.
+ */
+function removeItemsAtIndices(array, indices) {
+    const sortedIndices = getSortedIndices(indices, array.length);
+    const items = sortedIndices.map(index => array[index]);
+    // Remove the items starting from the end so the indices of the rest don't shift.
+    for (let i = sortedIndices.length - 1; i > -1; i--) {
+        array.splice(sortedIndices[i], 1);
+    }
+    return items;
+}
+/** Sorts a list of indices in ascending order, dropping duplicates and out-of-range values. */
+function getSortedIndices(indices, length) {
+    return indices
+        .filter((index, position) => index > -1 && index < length &&
+        indices.indexOf(index) === position)
+        .sort((a, b) => a - b);
+}
 /** Clamps a number between zero and a maximum. */
 function clamp$1(value, max) {
     return Math.max(0, Math.min(max, value));
@@ -1449,6 +2508,11 @@ class DropListRef {
         this.autoScrollDisabled = false;
         /** Number of pixels to scroll for each frame when auto-scrolling an element. */
         this.autoScrollStep = 2;
+        /**
+         * Whether the user can select multiple items in the list, by clicking on them while holding
+         * down the ctrl, meta or shift keys, and drag them together.
+         */
+        this.multiSelect = false;
         /**
          * Function that is used to determine whether an item
          * is allowed to be moved into a drop container.
@@ -1456,6 +2520,28 @@ class DropListRef {
         this.enterPredicate = () => true;
         /** Functions that is used to determine whether an item can be sorted into a particular index. */
         this.sortPredicate = () => true;
+        /**
+         * Rules that determine which kinds of items the list accepts and the effect of dropping them
+         * into the list. The first rule that matches one of the item's `kinds` is used and items that
+         * don't match any rule are refused. All items are moved into the list if no rules are set.
+         */
+        this.acceptRules = null;
+        /**
+         * Whether the list accepts native drops, like files from the operating system
+         * or data that is being dragged from a different page.
+         */
+        this.nativeDropsEnabled = false;
+        /**
+         * Function that is used to determine whether native data is allowed to be dropped into the
+         * container. Note that browsers only expose the data itself once it has been dropped, but
+         * `event.dataTransfer.types` can be used to check what kind of data is being dragged.
+         */
+        this.nativeEnterPredicate = () => true;
+        /**
+         * Function used to animate the items as they're moved out of the way while sorting. The items
+         * are animated using the CSS transitions defined on them if no function is set.
+         */
+        this.animationFn = null;
         /** Emits right before dragging has started. */
         this.beforeStarted = new Subject();
         /**
@@ -1471,6 +2557,23 @@ class DropListRef {
         this.dropped = new Subject();
         /** Emits as the user is swapping items while actively dragging. */
         this.sorted = new Subject();
+        /**
+         * Emits right before the selection changes as a result of the user clicking on an item.
+         * Can be used to sync up the list's items before the selection is determined.
+         */
+        this.beforeSelectionChanged = new Subject();
+        /** Emits when the items that are selected in the list have changed. */
+        this.selectionChanged = new Subject();
+        /** Emits when native data is dragged into the container. */
+        this.nativeEntered = new Subject();
+        /** Emits when native data is dragged out of the container without being dropped. */
+        this.nativeExited = new Subject();
+        /** Emits when the index at which native data would be inserted changes. */
+        this.nativeSorted = new Subject();
+        /** Emits when native data is dropped into the container. */
+        this.nativeDropped = new Subject();
+        /** Emits when an item is done animating to its new position while sorting. */
+        this.animationDone = new Subject();
         /** Whether an item in the list is being dragged. */
         this._isDragging = false;
         /** Cache of the dimensions of all the items inside the container. */
@@ -1489,6 +2592,8 @@ class DropListRef {
         this._orientation = 'vertical';
         /** Connected siblings that currently have a dragged item. */
         this._activeSiblings = new Set();
+        /** Connected lists whose items are being dragged, but can't be dropped into this list. */
+        this._refusedSiblings = new Set();
         /** Layout direction of the drop list. */
         this._direction = 'ltr';
         /** Subscription to the window being scrolled. */
@@ -1499,8 +2604,24 @@ class DropListRef {
         this._horizontalScrollDirection = 0 /* NONE */;
         /** Used to signal to the current auto-scroll sequence when to stop. */
         this._stopScrollTimers = new Subject();
-        /** Shadow root of the current element. Necessary for `elementFromPoint` to resolve correctly. */
-        this._cachedShadowRoot = null;
+        /** Document that the element is in, if it was registered because it's inside a frame. */
+        this._registeredDocument = null;
+        /** Inline `transition` values of the elements whose transitions were disabled while sorting. */
+        this._initialTransitions = new Map();
+        /** Items that are currently selected in the list. */
+        this._selectedItems = new Set();
+        /** Item that was last selected by the user. Used as the start of a range selection. */
+        this._lastSelectedItem = null;
+        /** Index at which native data would be inserted. Null if no native data is being dragged. */
+        this._nativeDropIndex = null;
+        /** Element that shows where native data will be inserted. */
+        this._nativePlaceholder = null;
+        /**
+         * Number of `dragenter` events that haven't been matched by a `dragleave` yet. Used to
+         * determine when native data leaves the list, because `dragleave` is also dispatched
+         * when the pointer moves between descendants of the list.
+         */
+        this._nativeDragDepth = 0;
         /** Starts the interval that'll auto-scroll the element. */
         this._startScrollInterval = () => {
             this._stopScrolling();
@@ -1523,14 +2644,92 @@ class DropListRef {
                 }
             });
         };
+        /** Handles `dragenter` events for native drag sequences. */
+        this._nativeDragEnter = (event) => {
+            this._nativeDragDepth++;
+            this._nativeDragOver(event);
+        };
+        /** Handles `dragover` events for native drag sequences. */
+        this._nativeDragOver = (event) => {
+            // If a list nested inside this one has accepted the data, it takes precedence.
+            if (event.defaultPrevented) {
+                if (this._nativeDropIndex !== null) {
+                    this._ngZone.run(() => this._exitNativeDrag(event));
+                }
+                return;
+            }
+            if (!this._canReceiveNativeDrag(event)) {
+                return;
+            }
+            // Preventing the default action is what tells the browser that the data can be dropped here.
+            event.preventDefault();
+            const frameOffset = getFrameOffset(coerceElement(this.element), this._document);
+            const x = event.clientX + frameOffset.x;
+            const y = event.clientY + frameOffset.y;
+            if (this._nativeDropIndex === null) {
+                this._ngZone.run(() => this._startNativeDrag(event, x, y));
+                return;
+            }
+            const previousIndex = this._nativeDropIndex;
+            const currentIndex = this._getNativeDropIndex(x, y);
+            this._startScrollingIfNecessary(x, y);
+            if (currentIndex !== previousIndex) {
+                this._nativeDropIndex = currentIndex;
+                this._moveNativePlaceholder(currentIndex);
+                this._ngZone.run(() => {
+                    this.nativeSorted.next({ container: this, previousIndex, currentIndex, event });
+                });
+            }
+        };
+        /** Handles `dragleave` events for native drag sequences. */
+        this._nativeDragLeave = (event) => {
+            this._nativeDragDepth = Math.max(this._nativeDragDepth - 1, 0);
+            // Note that browsers also dispatch `dragleave` if the user cancels the drag sequence.
+            if (this._nativeDragDepth === 0 && this._nativeDropIndex !== null) {
+                this._ngZone.run(() => this._exitNativeDrag(event));
+            }
+        };
+        /** Handles `drop` events for native drag sequences. */
+        this._nativeDrop = (event) => {
+            const currentIndex = this._nativeDropIndex;
+            if (currentIndex === null || event.defaultPrevented || !event.dataTransfer) {
+                return;
+            }
+            // Prevent the browser from navigating to dropped files or links.
+            event.preventDefault();
+            this._endNativeDrag();
+            this._ngZone.run(() => {
+                this.nativeDropped.next({
+                    container: this,
+                    currentIndex,
+                    dataTransfer: event.dataTransfer,
+                    event
+                });
+            });
+        };
         this.element = coerceElement(element);
         this._document = _document;
         this.withScrollableParents([this.element]);
         _dragDropRegistry.registerDropContainer(this);
         this._parentPositions = new ParentPositionTracker(_document, _viewportRuler);
+        _ngZone.runOutsideAngular(() => {
+            const nativeElement = this.element;
+            nativeElement.addEventListener('dragenter', this._nativeDragEnter);
+            nativeElement.addEventListener('dragover', this._nativeDragOver);
+            nativeElement.addEventListener('dragleave', this._nativeDragLeave);
+            nativeElement.addEventListener('drop', this._nativeDrop);
+        });
     }
     /** Removes the drop list functionality from the DOM element. */
     dispose() {
+        const nativeElement = coerceElement(this.element);
+        nativeElement.removeEventListener('dragenter', this._nativeDragEnter);
+        nativeElement.removeEventListener('dragover', this._nativeDragOver);
+        nativeElement.removeEventListener('dragleave', this._nativeDragLeave);
+        nativeElement.removeEventListener('drop', this._nativeDrop);
+        if (this._nativeDropIndex !== null) {
+            this._endNativeDrag();
+        }
         this._stopScrolling();
         this._stopScrollTimers.complete();
         this._viewportScrollSubscription.unsubscribe();
@@ -1539,10 +2738,24 @@ class DropListRef {
         this.exited.complete();
         this.dropped.complete();
         this.sorted.complete();
+        this.beforeSelectionChanged.complete();
+        this.selectionChanged.complete();
+        this.nativeEntered.complete();
+        this.nativeExited.complete();
+        this.nativeSorted.complete();
+        this.nativeDropped.complete();
+        this.animationDone.complete();
         this._activeSiblings.clear();
+        this._refusedSiblings.clear();
+        this._selectedItems.clear();
+        this._lastSelectedItem = null;
         this._scrollNode = null;
         this._parentPositions.clear();
         this._dragDropRegistry.removeDropContainer(this);
+        if (this._registeredDocument) {
+            this._dragDropRegistry.removeDocument(this._registeredDocument);
+            this._registeredDocument = null;
+        }
     }
     /** Whether an item from this list is currently being dragged. */
     isDragging() {
@@ -1635,17 +2848,22 @@ class DropListRef {
      * @param isPointerOverContainer Whether the user's pointer was over the
      *    container when the item was dropped.
      * @param distance Distance the user has dragged since the start of the dragging sequence.
+     * @param items All of the items being dropped, if multiple selected items were dragged together.
+     * @param previousIndices Indices of all of the items being dropped when dragging started.
      */
-    drop(item, currentIndex, previousIndex, previousContainer, isPointerOverContainer, distance) {
+    drop(item, currentIndex, previousIndex, previousContainer, isPointerOverContainer, distance, items = [item], previousIndices = [previousIndex]) {
         this._reset();
         this.dropped.next({
             item,
+            items,
             currentIndex,
             previousIndex,
+            previousIndices,
             container: this,
             previousContainer,
             isPointerOverContainer,
-            distance
+            distance,
+            dropEffect: this.getDropEffect(item)
         });
     }
     /**
@@ -1656,6 +2874,12 @@ class DropListRef {
         const previousItems = this._draggables;
         this._draggables = items;
         items.forEach(item => item._withDropContainer(this));
+        // Items that were removed from the list can't be selected anymore.
+        const removedSelectedItems = Array.from(this._selectedItems).filter(item => items.indexOf(item) === -1);
+        if (removedSelectedItems.length) {
+            removedSelectedItems.forEach(item => this._selectedItems.delete(item));
+            this._emitSelectionChange();
+        }
         if (this.isDragging()) {
             const draggedItems = previousItems.filter(item => item.isDragging());
             // If all of the items being dragged were removed
@@ -1722,6 +2946,48 @@ class DropListRef {
             this._itemPositions.slice().reverse() : this._itemPositions;
         return findIndex(items, currentItem => currentItem.drag === item);
     }
+    /** Gets the items that are currently selected, in the order in which they appear in the list. */
+    getSelectedItems() {
+        return this._draggables.filter(item => this._selectedItems.has(item));
+    }
+    /**
+     * Whether an item is selected in the list.
+     * @param item Item whose selection state should be checked.
+     */
+    isItemSelected(item) {
+        return this._selectedItems.has(item);
+    }
+    /**
+     * Adds an item to the selection of the list.
+     * @param item Item to be selected.
+     */
+    selectItem(item) {
+        if (!this._selectedItems.has(item)) {
+            this._selectedItems.add(item);
+            this._lastSelectedItem = item;
+            this._emitSelectionChange();
+        }
+    }
+    /**
+     * Removes an item from the selection of the list.
+     * @param item Item to be deselected.
+     */
+    deselectItem(item) {
+        if (this._selectedItems.delete(item)) {
+            if (this._lastSelectedItem === item) {
+                this._lastSelectedItem = null;
+            }
+            this._emitSelectionChange();
+        }
+    }
+    /** Deselects all of the items in the list. */
+    clearSelection() {
+        this._lastSelectedItem = null;
+        if (this._selectedItems.size) {
+            this._selectedItems.clear();
+            this._emitSelectionChange();
+        }
+    }
     /**
      * Whether the list is able to receive the item that
      * is currently being dragged inside a connected drop list.
@@ -1729,6 +2995,27 @@ class DropListRef {
     isReceiving() {
         return this._activeSiblings.size > 0;
     }
+    /**
+     * Whether the list refuses the item that is currently being dragged inside
+     * a connected drop list, based on its `enterPredicate` or `acceptRules`.
+     */
+    isRefusing() {
+        return this._refusedSiblings.size > 0;
+    }
+    /**
+     * Gets the effect of dropping an item into the list. Items can always be moved back
+     * into the list that they started off in, regardless of the list's rules.
+     * @param item Item that is being dragged.
+     */
+    getDropEffect(item) {
+        if (this._draggables.indexOf(item) > -1) {
+            return 'move';
+        }
+        if (!this.enterPredicate(item, this)) {
+            return 'none';
+        }
+        return this.acceptRules ? getAcceptedDropEffect(this.acceptRules, item.kinds) : 'move';
+    }
     /**
      * Sorts an item inside the container based on its position.
      * @param item Item to be sorted.
@@ -1747,8 +3034,126 @@ class DropListRef {
         if (newIndex === -1 && siblings.length > 0) {
             return;
         }
+        const isMixed = this._orientation === 'mixed';
+        const siblingAtNewPosition = isMixed ? this._sortItemInMixedList(item, newIndex) :
+            this._sortItemInLinearList(item, newIndex);
+        if (!siblingAtNewPosition) {
+            return;
+        }
+        // Note that it's important that we do this after the client rects have been adjusted.
+        this._previousSwap.overlaps =
+            isInsideClientRect(siblingAtNewPosition.clientRect, pointerX, pointerY);
+        this._previousSwap.drag = siblingAtNewPosition.drag;
+        this._previousSwap.delta = isMixed ? pointerDelta.x || pointerDelta.y :
+            (this._orientation === 'horizontal' ? pointerDelta.x : pointerDelta.y);
+    }
+    /**
+     * Moves an item to a specific index inside the container, regardless of where it's rendered.
+     * Used when sorting the items using the keyboard.
+     * @param item Item to be sorted.
+     * @param newIndex Index to which the item should be moved.
+     * @docs-private
+     */
+    _sortItemToIndex(item, newIndex) {
+        if (this._orientation === 'mixed') {
+            this._sortItemInMixedList(item, newIndex);
+        }
+        else {
+            this._sortItemInLinearList(item, newIndex);
+        }
+    }
+    /**
+     * Gets the index of an item among the items that are currently being sorted.
+     * @param item Item whose index should be determined.
+     * @docs-private
+     */
+    _getSortIndex(item) {
+        return findIndex(this._itemPositions, currentItem => currentItem.drag === item);
+    }
+    /**
+     * Determines the index to which an item should be moved when the user presses one of the arrow
+     * keys while dragging it using the keyboard. Returns -1 if the item can't be moved any further
+     * in the specified direction within the container.
+     * @param item Item that is being dragged.
+     * @param direction Direction in which the item should be moved.
+     * @docs-private
+     */
+    _getKeyboardSortIndex(item, direction) {
+        const siblings = this._itemPositions;
+        const currentIndex = this._getSortIndex(item);
+        if (this.sortingDisabled || currentIndex === -1) {
+            return -1;
+        }
+        let newIndex = -1;
+        if (this._orientation === 'mixed') {
+            newIndex = this._getMixedListKeyboardSortIndex(currentIndex, direction);
+        }
+        else if (this._orientation === 'horizontal') {
+            // The positions are sorted based on where the items are on the page
+            // so the item to the left always comes before the current one.
+            if (direction === 'left' || direction === 'right') {
+                newIndex = currentIndex + (direction === 'left' ? -1 : 1);
+            }
+        }
+        else if (direction === 'up' || direction === 'down') {
+            newIndex = currentIndex + (direction === 'up' ? -1 : 1);
+        }
+        return newIndex > -1 && newIndex < siblings.length &&
+            this.sortPredicate(newIndex, item, this) ? newIndex : -1;
+    }
+    /**
+     * Determines the index to which an item should be moved using the keyboard in a list whose
+     * items can wrap onto multiple lines. Horizontal keys move the item to the previous or next
+     * index, whereas vertical keys move it to the closest item on the previous or next line.
+     */
+    _getMixedListKeyboardSortIndex(currentIndex, direction) {
+        const siblings = this._itemPositions;
+        if (direction === 'left' || direction === 'right') {
+            const isBackwards = (direction === 'left') === (this._direction === 'ltr');
+            return currentIndex + (isBackwards ? -1 : 1);
+        }
+        const currentRect = siblings[currentIndex].clientRect;
+        const currentCenter = currentRect.left + currentRect.width / 2;
+        const isUp = direction === 'up';
+        let closestLineTop = null;
+        let closestIndex = -1;
+        let closestDistance = Infinity;
+        // Find the closest line in the specified direction.
+        siblings.forEach(({ clientRect }) => {
+            const isOnLine = isUp ? clientRect.bottom <= currentRect.top :
+                clientRect.top >= currentRect.bottom;
+            if (isOnLine && (closestLineTop === null ||
+                (isUp ? clientRect.top > closestLineTop : clientRect.top < closestLineTop))) {
+                closestLineTop = clientRect.top;
+            }
+        });
+        if (closestLineTop === null) {
+            return -1;
+        }
+        // Pick the item on the line that is horizontally closest to the current one.
+        siblings.forEach(({ clientRect }, index) => {
+            const distance = Math.abs(clientRect.left + clientRect.width / 2 - currentCenter);
+            if (clientRect.top === closestLineTop && distance < closestDistance) {
+                closestDistance = distance;
+                closestIndex = index;
+            }
+        });
+        return closestIndex;
+    }
+    /**
+     * Sorts an item inside a list whose items are laid out along a single axis by offsetting
+     * the items from their initial positions.
+     * @param item Item to be sorted.
+     * @param newIndex Index to which the item should be moved.
+     * @returns Sibling that was at the new index before sorting or null if nothing was moved.
+     */
+    _sortItemInLinearList(item, newIndex) {
+        const siblings = this._itemPositions;
         const isHorizontal = this._orientation === 'horizontal';
         const currentIndex = findIndex(siblings, currentItem => currentItem.drag === item);
+        if (currentIndex === -1 || !siblings[newIndex]) {
+            return null;
+        }
         const siblingAtNewPosition = siblings[newIndex];
         const currentPosition = siblings[currentIndex].clientRect;
         const newPosition = siblingAtNewPosition.clientRect;
@@ -1777,27 +3182,24 @@ class DropListRef {
             const offset = isDraggedItem ? itemOffset : siblingOffset;
             const elementToOffset = isDraggedItem ? item.getPlaceholderElement() :
                 sibling.drag.getRootElement();
+            const previousOffset = sibling.offset;
             // Update the offset to reflect the new position.
             sibling.offset += offset;
             // Since we're moving the items with a `transform`, we need to adjust their cached
             // client rects to reflect their new position, as well as swap their positions in the cache.
             // Note that we shouldn't use `getBoundingClientRect` here to update the cache, because the
             // elements may be mid-animation which will give us a wrong result.
+            // Round the transforms since some browsers will blur the elements, for sub-pixel transforms.
             if (isHorizontal) {
-                // Round the transforms since some browsers will
-                // blur the elements, for sub-pixel transforms.
-                elementToOffset.style.transform = `translate3d(${Math.round(sibling.offset)}px, 0, 0)`;
+                this._animateSortedItem(item, elementToOffset, { x: Math.round(previousOffset), y: 0 }, { x: Math.round(sibling.offset), y: 0 });
                 adjustClientRect(sibling.clientRect, 0, offset);
             }
             else {
-                elementToOffset.style.transform = `translate3d(0, ${Math.round(sibling.offset)}px, 0)`;
+                this._animateSortedItem(item, elementToOffset, { x: 0, y: Math.round(previousOffset) }, { x: 0, y: Math.round(sibling.offset) });
                 adjustClientRect(sibling.clientRect, offset, 0);
             }
         });
-        // Note that it's important that we do this after the client rects have been adjusted.
-        this._previousSwap.overlaps = isInsideClientRect(newPosition, pointerX, pointerY);
-        this._previousSwap.drag = siblingAtNewPosition.drag;
-        this._previousSwap.delta = isHorizontal ? pointerDelta.x : pointerDelta.y;
+        return siblingAtNewPosition;
     }
     /**
      * Checks whether the user's pointer is close to the edges of either the
@@ -1848,20 +3250,261 @@ class DropListRef {
             }
         }
     }
-    /** Stops any currently-running auto-scroll sequences. */
-    _stopScrolling() {
-        this._stopScrollTimers.next();
-    }
-    /** Starts the dragging sequence within the list. */
-    _draggingStarted() {
-        const styles = coerceElement(this.element).style;
-        this.beforeStarted.next();
-        this._isDragging = true;
-        // We need to disable scroll snapping while the user is dragging, because it breaks automatic
-        // scrolling. The browser seems to round the value based on the snapping points which means
-        // that we can't increment/decrement the scroll position.
-        this._initialScrollSnap = styles.msScrollSnapType || styles.scrollSnapType || '';
-        styles.scrollSnapType = styles.msScrollSnapType = 'none';
+    /**
+     * Sorts an item inside a list whose items can wrap onto multiple lines. Since the
+     * items can move across line breaks, we can't offset them along a single axis. Instead
+     * we move the placeholder in the DOM and we animate the rest of the items from their
+     * previous positions to their new ones.
+     * @param item Item to be sorted.
+     * @param newIndex Index to which the item should be moved.
+     * @returns Sibling that was at the new index before sorting or null if nothing was moved.
+     */
+    _sortItemInMixedList(item, newIndex) {
+        const siblings = this._itemPositions;
+        const currentIndex = findIndex(siblings, currentItem => currentItem.drag === item);
+        const siblingAtNewPosition = siblings[newIndex];
+        if (currentIndex === -1 || currentIndex === newIndex || !siblingAtNewPosition) {
+            return null;
+        }
+        const placeholder = item.getPlaceholderElement();
+        const reference = siblingAtNewPosition.drag.getRootElement();
+        const previousRects = new Map();
+        // Capture where the items are currently rendered, including any in-progress animations.
+        siblings.forEach(({ drag }) => {
+            previousRects.set(drag, getMutableClientRect(drag.getVisibleElement(), this._document));
+        });
+        reference.parentNode.insertBefore(placeholder, currentIndex < newIndex ? reference.nextSibling : reference);
+        moveItemInArray(siblings, currentIndex, newIndex);
+        this._activeDraggables = siblings.map(sibling => sibling.drag);
+        this.sorted.next({
+            previousIndex: currentIndex,
+            currentIndex: newIndex,
+            container: this,
+            item
+        });
+        this._animateToNewPositions(item, previousRects);
+        return siblingAtNewPosition;
+    }
+    /**
+     * Re-measures the items after a placeholder has been moved in the DOM and animates
+     * the items from their previous positions to their new ones.
+     * @param draggedItem Item that is being dragged, if any.
+     * @param previousRects Positions of the items before the placeholder was moved.
+     */
+    _animateToNewPositions(draggedItem, previousRects) {
+        const siblings = this._itemPositions;
+        // Clear any transforms from previous animations so that they don't throw off the measurements.
+        siblings.forEach(({ drag }) => {
+            const element = drag.getVisibleElement();
+            this._disableTransition(element);
+            element.style.transform = '';
+        });
+        siblings.forEach(sibling => {
+            sibling.clientRect = getMutableClientRect(sibling.drag.getVisibleElement(), this._document);
+            sibling.offset = 0;
+        });
+        // Move each item back to where it was rendered before. The placeholder
+        // isn't animated, because it should jump straight to its new position.
+        const animatingItems = [];
+        siblings.forEach(({ drag, clientRect }) => {
+            const previousRect = previousRects.get(drag);
+            if (drag !== draggedItem && previousRect) {
+                const x = Math.round(previousRect.left - clientRect.left);
+                const y = Math.round(previousRect.top - clientRect.top);
+                if (x || y) {
+                    animatingItems.push({ element: drag.getVisibleElement(), from: { x, y } });
+                }
+            }
+        });
+        if (this.animationFn) {
+            // The items are already in their final positions so we can hand them off directly. Their
+            // CSS transitions stay disabled until the end of the drag sequence so they don't interfere.
+            animatingItems.forEach(({ element, from }) => {
+                this._runSortAnimation(draggedItem, element, from, { x: 0, y: 0 });
+            });
+            return;
+        }
+        animatingItems.forEach(({ element, from }) => {
+            element.style.transform = `translate3d(${from.x}px, ${from.y}px, 0)`;
+        });
+        // Force a style recalculation so that the transforms are applied without a transition,
+        // then restore the transitions and clear the transforms so the items animate into place.
+        coerceElement(this.element).getBoundingClientRect();
+        siblings.forEach(({ drag }) => {
+            const element = drag.getVisibleElement();
+            this._restoreTransition(element);
+            element.style.transform = '';
+        });
+        if (this.animationDone.observers.length) {
+            animatingItems.forEach(({ element }) => this._emitAnimationDoneAfterTransition(draggedItem, element));
+        }
+    }
+    /**
+     * Moves an item to its new offset while sorting a list, and animates it either
+     * through the `animationFn` or through the transition defined on the element.
+     * @param draggedItem Item that is being dragged.
+     * @param element Element that should be moved.
+     * @param from Offset from which the element is being moved.
+     * @param to Offset to which the element is being moved.
+     */
+    _animateSortedItem(draggedItem, element, from, to) {
+        element.style.transform = `translate3d(${to.x}px, ${to.y}px, 0)`;
+        if (this.animationFn) {
+            // Disable the element's CSS transition so it doesn't conflict with the custom animation.
+            // The transition will be restored once the drag sequence is over.
+            this._disableTransition(element);
+            this._runSortAnimation(draggedItem, element, from, to);
+        }
+        else if (this.animationDone.observers.length) {
+            this._emitAnimationDoneAfterTransition(draggedItem, element);
+        }
+    }
+    /** Disables the CSS transition of an element, storing its inline value so it can be restored. */
+    _disableTransition(element) {
+        if (!this._initialTransitions.has(element)) {
+            this._initialTransitions.set(element, element.style.transition || '');
+        }
+        element.style.transition = 'none';
+    }
+    /** Restores the CSS transition of an element that was disabled while sorting. */
+    _restoreTransition(element) {
+        const transition = this._initialTransitions.get(element);
+        if (transition !== undefined) {
+            element.style.transition = transition;
+            this._initialTransitions.delete(element);
+        }
+    }
+    /** Hands off the sorting animation of an element to the `animationFn`. */
+    _runSortAnimation(draggedItem, element, from, to) {
+        this._ngZone.runOutsideAngular(() => {
+            runDragAnimation(this.animationFn, { type: 'sort', element, item: draggedItem, from, to })
+                .then(() => {
+                this.animationDone.next({ container: this, item: draggedItem, type: 'sort', element });
+            });
+        });
+    }
+    /** Emits the `animationDone` event once the CSS transition of a sorted item is done. */
+    _emitAnimationDoneAfterTransition(draggedItem, element) {
+        const duration = getTransformTransitionDurationInMs(element);
+        this._ngZone.runOutsideAngular(() => {
+            waitForTransformTransition(element, duration).then(() => {
+                this.animationDone.next({ container: this, item: draggedItem, type: 'sort', element });
+            });
+        });
+    }
+    /** Stops any currently-running auto-scroll sequences. */
+    _stopScrolling() {
+        this._stopScrollTimers.next();
+    }
+    /**
+     * Scrolls the list, its scrollable parents and the viewport so that an element inside of the
+     * list is visible. Used to keep the placeholder in view while sorting using the keyboard.
+     * @param element Element that should be scrolled into view.
+     * @docs-private
+     */
+    _scrollIntoView(element) {
+        if (this.autoScrollDisabled) {
+            return;
+        }
+        // Scroll the innermost regions first, because scrolling them moves the element
+        // inside of the outer ones. Elements are measured every time for the same reason.
+        const scrollableElements = this._scrollableElements.slice().sort((a, b) => {
+            return a.contains(b) ? 1 : (b.contains(a) ? -1 : 0);
+        });
+        scrollableElements.forEach(scrollable => {
+            if (scrollable !== element && scrollable.contains(element)) {
+                const regionRect = scrollable.getBoundingClientRect();
+                const elementRect = element.getBoundingClientRect();
+                const top = regionRect.top + scrollable.clientTop;
+                const left = regionRect.left + scrollable.clientLeft;
+                incrementVerticalScroll(scrollable, getScrollIntoViewDelta(top, top + scrollable.clientHeight, elementRect.top, elementRect.bottom));
+                incrementHorizontalScroll(scrollable, getScrollIntoViewDelta(left, left + scrollable.clientWidth, elementRect.left, elementRect.right));
+            }
+        });
+        const { width, height } = this._viewportRuler.getViewportSize();
+        const elementRect = element.getBoundingClientRect();
+        const verticalDelta = getScrollIntoViewDelta(0, height, elementRect.top, elementRect.bottom);
+        const horizontalDelta = getScrollIntoViewDelta(0, width, elementRect.left, elementRect.right);
+        if (verticalDelta) {
+            incrementVerticalScroll(window, verticalDelta);
+        }
+        if (horizontalDelta) {
+            incrementHorizontalScroll(window, horizontalDelta);
+        }
+    }
+    /**
+     * Updates the selection in response to the user clicking on one of the items. Clicking while
+     * holding down ctrl or meta toggles the item, holding down shift selects all of the items
+     * between the last selected item and the clicked one and a plain click selects only the item.
+     * @param item Item that was clicked.
+     * @param event Event that triggered the click.
+     * @docs-private
+     */
+    _handleItemClick(item, event) {
+        if (!this.multiSelect) {
+            return;
+        }
+        this.beforeSelectionChanged.next();
+        const selectedItems = this._selectedItems;
+        const isToggle = event.ctrlKey || event.metaKey;
+        const lastSelectedItem = this._lastSelectedItem;
+        const rangeStart = lastSelectedItem ? this._draggables.indexOf(lastSelectedItem) : -1;
+        const rangeEnd = this._draggables.indexOf(item);
+        if (event.shiftKey && rangeStart > -1 && rangeEnd > -1) {
+            if (!isToggle) {
+                selectedItems.clear();
+            }
+            const [start, end] = rangeStart < rangeEnd ? [rangeStart, rangeEnd] : [rangeEnd, rangeStart];
+            for (let i = start; i <= end; i++) {
+                selectedItems.add(this._draggables[i]);
+            }
+        }
+        else if (isToggle) {
+            if (selectedItems.has(item)) {
+                selectedItems.delete(item);
+            }
+            else {
+                selectedItems.add(item);
+            }
+            this._lastSelectedItem = item;
+        }
+        else {
+            selectedItems.clear();
+            selectedItems.add(item);
+            this._lastSelectedItem = item;
+        }
+        this._emitSelectionChange();
+    }
+    /**
+     * Gets all of the items that should be dragged when the user starts dragging an item. If the
+     * item is selected, the rest of the selected items will be dragged together with it.
+     * @param item Item that the user started dragging.
+     * @docs-private
+     */
+    _getMultiDragItems(item) {
+        return this.multiSelect && this._selectedItems.has(item) ?
+            Array.from(this._selectedItems) : [item];
+    }
+    /**
+     * Gets the index of an item among the items of the list, ignoring the sort order
+     * of the current drag sequence. Items that are dragged together with another item
+     * aren't part of the sorting so this is the only way to determine their index.
+     * @docs-private
+     */
+    _getDraggableIndex(item) {
+        return this._draggables.indexOf(item);
+    }
+    /** Starts the dragging sequence within the list. */
+    _draggingStarted() {
+        const styles = coerceElement(this.element).style;
+        this.beforeStarted.next();
+        this._isDragging = true;
+        this._registerOwnerDocument();
+        // We need to disable scroll snapping while the user is dragging, because it breaks automatic
+        // scrolling. The browser seems to round the value based on the snapping points which means
+        // that we can't increment/decrement the scroll position.
+        this._initialScrollSnap = styles.msScrollSnapType || styles.scrollSnapType || '';
+        styles.scrollSnapType = styles.msScrollSnapType = 'none';
         this._cacheItems();
         this._viewportScrollSubscription.unsubscribe();
         this._listenToScrollEvents();
@@ -1879,8 +3522,14 @@ class DropListRef {
         const isHorizontal = this._orientation === 'horizontal';
         this._itemPositions = this._activeDraggables.map(drag => {
             const elementToMeasure = drag.getVisibleElement();
-            return { drag, offset: 0, clientRect: getMutableClientRect(elementToMeasure) };
-        }).sort((a, b) => {
+            return { drag, offset: 0, clientRect: getMutableClientRect(elementToMeasure, this._document) };
+        });
+        // Items in a mixed list can wrap onto multiple lines so we can't sort them by a single
+        // coordinate. We keep them in the same order as in the DOM instead.
+        if (this._orientation === 'mixed') {
+            return;
+        }
+        this._itemPositions.sort((a, b) => {
             return isHorizontal ? a.clientRect.left - b.clientRect.left :
                 a.clientRect.top - b.clientRect.top;
         });
@@ -1897,6 +3546,10 @@ class DropListRef {
                 rootElement.style.transform = '';
             }
         });
+        this._initialTransitions.forEach((transition, element) => {
+            element.style.transition = transition;
+        });
+        this._initialTransitions.clear();
         this._siblings.forEach(sibling => sibling._stopReceiving(this));
         this._activeDraggables = [];
         this._itemPositions = [];
@@ -1962,6 +3615,15 @@ class DropListRef {
         }
         const itemPositions = this._itemPositions;
         const isHorizontal = this._orientation === 'horizontal';
+        // In a mixed list the item should be inserted first if the pointer is above the first
+        // line or if it's on the same line as the first item, but before it.
+        if (this._orientation === 'mixed') {
+            const firstItemRect = itemPositions[0].clientRect;
+            const isBeforeFirstItem = this._direction === 'rtl' ?
+                pointerX >= firstItemRect.right : pointerX <= firstItemRect.left;
+            return pointerY < firstItemRect.top ||
+                (pointerY <= firstItemRect.bottom && isBeforeFirstItem);
+        }
         // `itemPositions` are sorted by position while `activeDraggables` are sorted by child index
         // check if container is using some sort of "reverse" ordering (eg: flex-direction: row-reverse)
         const reversed = itemPositions[0].drag !== this._activeDraggables[0];
@@ -1983,6 +3645,7 @@ class DropListRef {
      */
     _getItemIndexFromPointerPosition(item, pointerX, pointerY, delta) {
         const isHorizontal = this._orientation === 'horizontal';
+        const isMixed = this._orientation === 'mixed';
         const index = findIndex(this._itemPositions, ({ drag, clientRect }, _, array) => {
             if (drag === item) {
                 // If there's only one item left in the container, it must be
@@ -1990,7 +3653,7 @@ class DropListRef {
                 return array.length < 2;
             }
             if (delta) {
-                const direction = isHorizontal ? delta.x : delta.y;
+                const direction = isMixed ? delta.x || delta.y : (isHorizontal ? delta.x : delta.y);
                 // If the user is still hovering over the same item as last time, their cursor hasn't left
                 // the item after we made the swap, and they didn't change the direction in which they're
                 // dragging, we don't consider it a direction swap.
@@ -1999,6 +3662,11 @@ class DropListRef {
                     return false;
                 }
             }
+            // Items in a mixed list can be on different lines so we need to look at both axes.
+            if (isMixed) {
+                return pointerX >= Math.floor(clientRect.left) && pointerX < Math.floor(clientRect.right) &&
+                    pointerY >= Math.floor(clientRect.top) && pointerY < Math.floor(clientRect.bottom);
+            }
             return isHorizontal ?
                 // Round these down since most browsers report client rects with
                 // sub-pixel precision, whereas the pointer coordinates are rounded to pixels.
@@ -2009,7 +3677,8 @@ class DropListRef {
     }
     /** Caches the current items in the list and their positions. */
     _cacheItems() {
-        this._activeDraggables = this._draggables.slice();
+        // Items that are being dragged together with another item don't take part in the sorting.
+        this._activeDraggables = this._draggables.filter(item => !item._multiDragSource);
         this._cacheItemPositions();
         this._cacheParentPositions();
     }
@@ -2029,7 +3698,86 @@ class DropListRef {
      * @param y Position of the item along the Y axis.
      */
     _getSiblingContainerFromPosition(item, x, y) {
-        return this._siblings.find(sibling => sibling._canReceive(item, x, y));
+        const candidates = this._siblings.filter(sibling => sibling._canReceive(item, x, y));
+        if (!candidates.length) {
+            return undefined;
+        }
+        // The current container has to compete with its siblings when the lists are nested,
+        // otherwise an outer list would always win over the inner list that the item started in.
+        // Note that we don't check the `enterPredicate`, because the item started off in this list.
+        if (this._isOverContainer(x, y) && this._isTopmostElementAtPoint(x, y)) {
+            candidates.push(this);
+        }
+        // All of the candidates contain the element under the pointer so they're either the same
+        // element or ancestors of one another. The innermost one is the one that should win.
+        return candidates.reduce((innermost, candidate) => {
+            return coerceElement(innermost.element).contains(coerceElement(candidate.element)) ?
+                candidate : innermost;
+        });
+    }
+    /**
+     * Gets how deeply a container is nested inside this container and its siblings. Top-level
+     * containers are at level zero, containers inside one of their items are at level one etc.
+     * @param container Container whose level should be determined.
+     * @docs-private
+     */
+    _getContainerLevel(container) {
+        const element = coerceElement(container.element);
+        const ancestors = [this, ...this._siblings].filter(current => {
+            const currentElement = coerceElement(current.element);
+            return currentElement !== element && currentElement.contains(element);
+        });
+        return ancestors.length;
+    }
+    /**
+     * Finds the closest container, out of this one and its siblings, in a specific direction from
+     * an item. Used to move items between containers while dragging using the keyboard.
+     * @param item Item that is being dragged.
+     * @param currentContainer Container that the item is currently in.
+     * @param itemRect Current position of the item.
+     * @param direction Direction in which to look for a container.
+     * @docs-private
+     */
+    _getSiblingContainerInDirection(item, currentContainer, itemRect, direction) {
+        const centerX = itemRect.left + itemRect.width / 2;
+        const centerY = itemRect.top + itemRect.height / 2;
+        let closestContainer = null;
+        let closestDistance = Infinity;
+        // Note that the item's initial container is allowed regardless of its `enterPredicate`.
+        // See `DragRef._updateActiveDropContainer` for more context.
+        [this, ...this._siblings].forEach(container => {
+            if (container === currentContainer ||
+                (container !== this && container.getDropEffect(item) === 'none')) {
+                return;
+            }
+            const rect = getMutableClientRect(coerceElement(container.element), this._document);
+            let distance;
+            switch (direction) {
+                case 'up':
+                    distance = centerY - rect.bottom;
+                    break;
+                case 'down':
+                    distance = rect.top - centerY;
+                    break;
+                case 'left':
+                    distance = centerX - rect.right;
+                    break;
+                default:
+                    distance = rect.left - centerX;
+                    break;
+            }
+            // Take the distance along the other axis into account so the closest container is picked.
+            const isVertical = direction === 'up' || direction === 'down';
+            const crossDistance = isVertical ?
+                Math.max(rect.left - centerX, centerX - rect.right, 0) :
+                Math.max(rect.top - centerY, centerY - rect.bottom, 0);
+            const totalDistance = distance + crossDistance;
+            if ((rect.width || rect.height) && distance >= 0 && totalDistance < closestDistance) {
+                closestDistance = totalDistance;
+                closestContainer = container;
+            }
+        });
+        return closestContainer;
     }
     /**
      * Checks whether the drop list can receive the passed-in item.
@@ -2038,11 +3786,40 @@ class DropListRef {
      * @param y Position of the item along the Y axis.
      */
     _canReceive(item, x, y) {
+        // Items can't be dropped into lists that are nested inside of them.
         if (!this._clientRect || !isInsideClientRect(this._clientRect, x, y) ||
-            !this.enterPredicate(item, this)) {
+            !this.enterPredicate(item, this) || !this._acceptsItem(item) ||
+            item.getRootElement().contains(coerceElement(this.element))) {
             return false;
         }
-        const elementFromPoint = this._getShadowRoot().elementFromPoint(x, y);
+        return this._isTopmostElementAtPoint(x, y);
+    }
+    /**
+     * Finds a connected list under a specific point that refuses the item being dragged.
+     * Used to show feedback to the user about why the item can't be dropped.
+     * @param x Position along the X axis.
+     * @param y Position along the Y axis.
+     * @docs-private
+     */
+    _getRefusingSiblingFromPosition(x, y) {
+        return this._siblings.find(sibling => {
+            return sibling._refusedSiblings.has(this) && sibling._isOverContainer(x, y) &&
+                sibling._isTopmostElementAtPoint(x, y);
+        });
+    }
+    /** Checks whether the list's `acceptRules` allow an item to be dropped into the list. */
+    _acceptsItem(item) {
+        return !this.acceptRules || getAcceptedDropEffect(this.acceptRules, item.kinds) !== 'none';
+    }
+    /**
+     * Checks whether the drop list, or one of its descendants, is the top-most element at a point.
+     * @param x Position along the X axis.
+     * @param y Position along the Y axis.
+     */
+    _isTopmostElementAtPoint(x, y) {
+        // Look through any shadow roots and same-origin frames so that lists
+        // inside different roots can be hit-tested against each other.
+        const elementFromPoint = getDeepElementFromPoint(this._document, x, y);
         // If there's no element at the pointer position, then
         // the client rect is probably scrolled out of the view.
         if (!elementFromPoint) {
@@ -2055,7 +3832,7 @@ class DropListRef {
         // we could end up transferring the item into a container that's invisible or is positioned
         // below another one. We use the result from `elementFromPoint` to get the top-most element
         // at the pointer position and to find whether it's one of the intersecting drop containers.
-        return elementFromPoint === nativeElement || nativeElement.contains(elementFromPoint);
+        return deepContains(nativeElement, elementFromPoint);
     }
     /**
      * Called by one of the connected drop lists when a dragging sequence has started.
@@ -2063,17 +3840,29 @@ class DropListRef {
      */
     _startReceiving(sibling, items) {
         const activeSiblings = this._activeSiblings;
-        if (!activeSiblings.has(sibling) && items.every(item => {
+        // Pointer events inside of a frame are dispatched on the frame's document so we
+        // need to listen to them even if the item can't enter this particular list.
+        this._registerOwnerDocument();
+        if (activeSiblings.has(sibling) || this._refusedSiblings.has(sibling)) {
+            return;
+        }
+        if (items.every(item => {
             // Note that we have to add an exception to the `enterPredicate` for items that started off
             // in this drop list. The drag ref has logic that allows an item to return to its initial
             // container, if it has left the initial container and none of the connected containers
             // allow it to enter. See `DragRef._updateActiveDropContainer` for more context.
-            return this.enterPredicate(item, this) || this._draggables.indexOf(item) > -1;
+            return (this.enterPredicate(item, this) && this._acceptsItem(item)) ||
+                this._draggables.indexOf(item) > -1;
         })) {
             activeSiblings.add(sibling);
-            this._cacheParentPositions();
-            this._listenToScrollEvents();
         }
+        else {
+            // Keep track of the lists that refuse the item so that they can be styled differently
+            // and so that the item can show feedback when the user's pointer is over them.
+            this._refusedSiblings.add(sibling);
+        }
+        this._cacheParentPositions();
+        this._listenToScrollEvents();
     }
     /**
      * Called by a connected drop list when dragging has stopped.
@@ -2081,6 +3870,7 @@ class DropListRef {
      */
     _stopReceiving(sibling) {
         this._activeSiblings.delete(sibling);
+        this._refusedSiblings.delete(sibling);
         this._viewportScrollSubscription.unsubscribe();
     }
     /**
@@ -2110,23 +3900,128 @@ class DropListRef {
                     });
                 }
             }
-            else if (this.isReceiving()) {
+            else if (this.isReceiving() || this.isRefusing()) {
                 this._cacheParentPositions();
             }
         });
     }
     /**
-     * Lazily resolves and returns the shadow root of the element. We do this in a function, rather
-     * than saving it in property directly on init, because we want to resolve it as late as possible
-     * in order to ensure that the element has been moved into the shadow DOM. Doing it inside the
-     * constructor might be too early if the element is inside of something like `ngFor` or `ngIf`.
+     * Registers the document that the element is in with the drag&drop registry, if it's
+     * different from the main one, so that items can be dragged from and into frames. We do this
+     * lazily, rather than in the constructor, because the element could've been moved into a
+     * different document after it was created.
      */
-    _getShadowRoot() {
-        if (!this._cachedShadowRoot) {
-            const shadowRoot = _getShadowRoot(coerceElement(this.element));
-            this._cachedShadowRoot = shadowRoot || this._document;
+    _registerOwnerDocument() {
+        const ownerDocument = coerceElement(this.element).ownerDocument;
+        if (ownerDocument !== this._registeredDocument) {
+            if (this._registeredDocument) {
+                this._dragDropRegistry.removeDocument(this._registeredDocument);
+                this._registeredDocument = null;
+            }
+            if (ownerDocument && ownerDocument !== this._document) {
+                this._registeredDocument = ownerDocument;
+                this._dragDropRegistry.registerDocument(ownerDocument);
+            }
         }
-        return this._cachedShadowRoot;
+    }
+    /** Whether the list can receive the data from a native drag event. */
+    _canReceiveNativeDrag(event) {
+        if (!this.nativeDropsEnabled || !event.dataTransfer) {
+            return false;
+        }
+        // Native drag sequences can't happen while one of our own items is being dragged, because we
+        // disable the native interactions, but we check anyway since the two modes can't be mixed.
+        return this._nativeDropIndex !== null ||
+            (!this._isDragging && this.nativeEnterPredicate(event, this));
+    }
+    /** Starts showing where native data will be inserted, once it has been dragged into the list. */
+    _startNativeDrag(event, x, y) {
+        this._draggingStarted();
+        const currentIndex = this._nativeDropIndex = this._getNativeDropIndex(x, y);
+        this._nativePlaceholder = this._createNativePlaceholder();
+        this._moveNativePlaceholder(currentIndex);
+        this.nativeEntered.next({ container: this, currentIndex, event });
+    }
+    /** Stops the native drag sequence, because the data was dragged out of the list. */
+    _exitNativeDrag(event) {
+        this._endNativeDrag();
+        this.nativeExited.next({ container: this, event });
+    }
+    /** Removes the native placeholder and resets the list to its initial state. */
+    _endNativeDrag() {
+        const placeholder = this._nativePlaceholder;
+        if (placeholder && placeholder.parentNode) {
+            placeholder.parentNode.removeChild(placeholder);
+        }
+        this._nativePlaceholder = this._nativeDropIndex = null;
+        this._nativeDragDepth = 0;
+        this._reset();
+    }
+    /**
+     * Gets the index at which native data would be inserted, based on the position of the pointer.
+     * The index is the number of items that come before the pointer in the list.
+     */
+    _getNativeDropIndex(x, y) {
+        const positions = this._itemPositions;
+        if (this.sortingDisabled) {
+            return positions.length;
+        }
+        const isRtl = this._direction === 'rtl';
+        return positions.filter(({ clientRect }) => {
+            const centerX = clientRect.left + clientRect.width / 2;
+            const centerY = clientRect.top + clientRect.height / 2;
+            const isBeforeHorizontally = isRtl ? centerX > x : centerX < x;
+            if (this._orientation === 'horizontal') {
+                return isBeforeHorizontally;
+            }
+            if (this._orientation === 'vertical') {
+                return centerY < y;
+            }
+            // In mixed lists the items on previous lines come before the pointer, as well
+            // as the items on the current line which are before it horizontally.
+            return clientRect.bottom <= y || (clientRect.top <= y && isBeforeHorizontally);
+        }).length;
+    }
+    /** Moves the native placeholder to a specific index and animates the rest of the items. */
+    _moveNativePlaceholder(index) {
+        const placeholder = this._nativePlaceholder;
+        const items = this._activeDraggables;
+        const previousRects = new Map();
+        this._itemPositions.forEach(({ drag }) => {
+            previousRects.set(drag, getMutableClientRect(drag.getVisibleElement(), this._document));
+        });
+        if (index < items.length) {
+            const reference = items[index].getRootElement();
+            reference.parentNode.insertBefore(placeholder, reference);
+        }
+        else if (items.length) {
+            const lastItem = items[items.length - 1].getRootElement();
+            lastItem.parentNode.insertBefore(placeholder, lastItem.nextSibling);
+        }
+        else {
+            coerceElement(this.element).appendChild(placeholder);
+        }
+        this._animateToNewPositions(null, previousRects);
+    }
+    /** Creates the element that shows where native data will be inserted. */
+    _createNativePlaceholder() {
+        const element = coerceElement(this.element);
+        const placeholder = (element.ownerDocument || this._document).createElement('div');
+        const firstItem = this._itemPositions[0];
+        placeholder.classList.add('cdk-drag-placeholder', 'cdk-drop-list-native-placeholder');
+        // The placeholder shouldn't become the target of the native drag events,
+        // because moving it around would throw off the `dragenter`/`dragleave` count.
+        placeholder.style.pointerEvents = 'none';
+        // Make the placeholder take up the same amount of space as an item by default.
+        if (firstItem) {
+            placeholder.style.width = `${firstItem.clientRect.width}px`;
+            placeholder.style.height = `${firstItem.clientRect.height}px`;
+        }
+        return placeholder;
+    }
+    /** Emits the current selection through the `selectionChanged` stream. */
+    _emitSelectionChange() {
+        this.selectionChanged.next({ container: this, items: this.getSelectedItems() });
     }
     /** Notifies any siblings that may potentially receive the item. */
     _notifyReceivingSiblings() {
@@ -2148,34 +4043,6 @@ function findIndex(array, predicate) {
     }
     return -1;
 }
-/**
- * Increments the vertical scroll position of a node.
- * @param node Node whose scroll position should change.
- * @param amount Amount of pixels that the `node` should be scrolled.
- */
-function incrementVerticalScroll(node, amount) {
-    if (node === window) {
-        node.scrollBy(0, amount);
-    }
-    else {
-        // Ideally we could use `Element.scrollBy` here as well, but IE and Edge don't support it.
-        node.scrollTop += amount;
-    }
-}
-/**
- * Increments the horizontal scroll position of a node.
- * @param node Node whose scroll position should change.
- * @param amount Amount of pixels that the `node` should be scrolled.
- */
-function incrementHorizontalScroll(node, amount) {
-    if (node === window) {
-        node.scrollBy(amount, 0);
-    }
-    else {
-        // Ideally we could use `Element.scrollBy` here as well, but IE and Edge don't support it.
-        node.scrollLeft += amount;
-    }
-}
 /**
  * Gets whether the vertical auto-scroll direction of a node.
  * @param clientRect Dimensions of the node.
@@ -2236,18 +4103,626 @@ function getElementScrollDirections(element, clientRect, pointerX, pointerY) {
             verticalScrollDirection = 2 /* DOWN */;
         }
     }
-    if (computedHorizontal) {
-        const scrollLeft = element.scrollLeft;
-        if (computedHorizontal === 1 /* LEFT */) {
-            if (scrollLeft > 0) {
-                horizontalScrollDirection = 1 /* LEFT */;
-            }
+    if (computedHorizontal) {
+        const scrollLeft = element.scrollLeft;
+        if (computedHorizontal === 1 /* LEFT */) {
+            if (scrollLeft > 0) {
+                horizontalScrollDirection = 1 /* LEFT */;
+            }
+        }
+        else if (element.scrollWidth - scrollLeft > element.clientWidth) {
+            horizontalScrollDirection = 2 /* RIGHT */;
+        }
+    }
+    return [verticalScrollDirection, horizontalScrollDirection];
+}
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * Reference to a canvas inside of which drag items can be positioned freely. Builds on the
+ * free drag positioning of the `DragRef` by snapping items to a grid, aligning them with their
+ * siblings and optionally preventing them from overlapping. Positions are reported relative to
+ * the top left corner of the canvas' padding box, taking its scroll position into account.
+ * The canvas element should be positioned so that the alignment guides can be placed inside it.
+ */
+class DragCanvasRef {
+    constructor(element, _document) {
+        this._document = _document;
+        /** Size of the grid, in pixels, to which items are snapped. Zero disables snapping. */
+        this.gridSize = 0;
+        /**
+         * Distance, in pixels, at which an item is aligned with one of its siblings and an alignment
+         * guide is shown. Alignment takes precedence over grid snapping. Zero disables the guides.
+         */
+        this.guideThreshold = 5;
+        /** Whether items are prevented from overlapping each other. */
+        this.preventOverlap = false;
+        /** Emits right before the user starts dragging an item inside the canvas. */
+        this.beforeStarted = new Subject();
+        /** Emits when the user drops an item that is inside the canvas. */
+        this.dropped = new Subject();
+        /** Items that are registered with the canvas, along with their event subscriptions. */
+        this._items = new Map();
+        /** State of the item that is currently being dragged. */
+        this._activeItem = null;
+        /** Origin of the item that is about to be dragged. Measured before it has moved. */
+        this._pendingOrigin = null;
+        /** Elements used to render the alignment guides. Reused between moves. */
+        this._guideElements = [];
+        /**
+         * Function that is assigned to the `constrainFreeDragPosition` of the canvas' items.
+         * Aligns, snaps and contains the proposed position of the item that is being dragged.
+         */
+        this._constrainPosition = (transform, item) => {
+            const activeItem = this._activeItem;
+            if (!activeItem || activeItem.item !== item) {
+                return transform;
+            }
+            const { origin, width, height, siblings } = activeItem;
+            const guides = [];
+            const threshold = this.guideThreshold;
+            let x = origin.x + transform.x;
+            let y = origin.y + transform.y;
+            const alignedX = threshold > 0 ?
+                getAlignment(x, width, siblings.map(s => [s.left, s.width]), threshold) : null;
+            const alignedY = threshold > 0 ?
+                getAlignment(y, height, siblings.map(s => [s.top, s.height]), threshold) : null;
+            if (alignedX) {
+                x = alignedX.position;
+                guides.push({ orientation: 'vertical', position: alignedX.guide });
+            }
+            else {
+                x = snapToGrid(x, this.gridSize);
+            }
+            if (alignedY) {
+                y = alignedY.position;
+                guides.push({ orientation: 'horizontal', position: alignedY.guide });
+            }
+            else {
+                y = snapToGrid(y, this.gridSize);
+            }
+            x = clamp$2(x, 0, activeItem.canvasWidth - width);
+            y = clamp$2(y, 0, activeItem.canvasHeight - height);
+            if (this.preventOverlap) {
+                const position = this._resolveCollisions({ x, y });
+                x = position.x;
+                y = position.y;
+            }
+            activeItem.lastValidPosition = { x, y };
+            this._renderGuides(guides);
+            return { x: x - origin.x, y: y - origin.y };
+        };
+        this.element = coerceElement(element);
+    }
+    /** Removes the canvas functionality from the DOM element. */
+    dispose() {
+        this._items.forEach((subscription, item) => {
+            subscription.unsubscribe();
+            item.constrainFreeDragPosition = undefined;
+        });
+        this._items.clear();
+        this._removeGuides();
+        this._activeItem = this._pendingOrigin = null;
+        this.beforeStarted.complete();
+        this.dropped.complete();
+    }
+    /** Whether an item inside the canvas is being dragged. */
+    isDragging() {
+        return !!this._activeItem;
+    }
+    /**
+     * Registers an item with the canvas.
+     * @param item Item to be added.
+     */
+    addItem(item) {
+        if (!this._items.has(item)) {
+            const subscription = new Subscription();
+            subscription.add(item.beforeStarted.subscribe(() => this._measureItemOrigin(item)));
+            subscription.add(item.started.subscribe(() => this._itemStarted(item)));
+            subscription.add(item.ended.subscribe(() => this._itemEnded(item)));
+            item.constrainFreeDragPosition = this._constrainPosition;
+            this._items.set(item, subscription);
+        }
+        return this;
+    }
+    /**
+     * Removes an item from the canvas.
+     * @param item Item to be removed.
+     */
+    removeItem(item) {
+        const subscription = this._items.get(item);
+        if (subscription) {
+            subscription.unsubscribe();
+            item.constrainFreeDragPosition = undefined;
+            this._items.delete(item);
+            if (this._activeItem && this._activeItem.item === item) {
+                this._removeGuides();
+                this._activeItem = null;
+            }
+        }
+        return this;
+    }
+    /**
+     * Gets the position of an item relative to the canvas.
+     * @param item Item whose position should be determined.
+     */
+    getItemPosition(item) {
+        const rect = this._getRectInCanvas(item);
+        return { x: rect.left, y: rect.top };
+    }
+    /**
+     * Moves an item to a specific position inside the canvas.
+     * @param item Item to be moved.
+     * @param position Position, relative to the canvas, to which to move the item.
+     */
+    setItemPosition(item, position) {
+        const origin = this._getItemOrigin(item);
+        item.setFreeDragPosition({ x: position.x - origin.x, y: position.y - origin.y });
+        return this;
+    }
+    /** Measures the origin of an item before the user has started moving it. */
+    _measureItemOrigin(item) {
+        this.beforeStarted.next();
+        this._pendingOrigin = { item, origin: this._getItemOrigin(item) };
+    }
+    /** Caches the state of the canvas when the user starts dragging one of its items. */
+    _itemStarted(item) {
+        const pending = this._pendingOrigin;
+        const origin = pending && pending.item === item ? pending.origin : this._getItemOrigin(item);
+        const rect = this._getRectInCanvas(item);
+        const element = coerceElement(this.element);
+        const startPosition = { x: rect.left, y: rect.top };
+        const siblings = [];
+        this._items.forEach((_, sibling) => {
+            if (sibling !== item) {
+                siblings.push(this._getRectInCanvas(sibling));
+            }
+        });
+        this._pendingOrigin = null;
+        this._activeItem = {
+            item,
+            origin,
+            startPosition,
+            lastValidPosition: startPosition,
+            width: rect.width,
+            height: rect.height,
+            siblings,
+            canvasWidth: element.scrollWidth,
+            canvasHeight: element.scrollHeight
+        };
+    }
+    /** Emits the final position of an item once the user has dropped it. */
+    _itemEnded(item) {
+        const activeItem = this._activeItem;
+        if (!activeItem || activeItem.item !== item) {
+            return;
+        }
+        const transform = item.getFreeDragPosition();
+        this._removeGuides();
+        this._activeItem = null;
+        this.dropped.next({
+            item,
+            container: this,
+            position: {
+                x: activeItem.origin.x + transform.x,
+                y: activeItem.origin.y + transform.y
+            },
+            previousPosition: activeItem.startPosition
+        });
+    }
+    /**
+     * Resolves collisions between the item that is being dragged and its siblings. If the
+     * proposed position overlaps with a sibling, the item is allowed to slide along the axis
+     * that is still free, otherwise it stays at its last valid position.
+     */
+    _resolveCollisions(position) {
+        const { lastValidPosition, width, height, siblings } = this._activeItem;
+        const candidates = [
+            position,
+            { x: position.x, y: lastValidPosition.y },
+            { x: lastValidPosition.x, y: position.y }
+        ];
+        for (const candidate of candidates) {
+            const rect = { left: candidate.x, top: candidate.y, width, height };
+            if (!siblings.some(sibling => rectsOverlap(rect, sibling))) {
+                return candidate;
+            }
+        }
+        return lastValidPosition;
+    }
+    /** Renders the alignment guides inside the canvas. */
+    _renderGuides(guides) {
+        const element = coerceElement(this.element);
+        const { canvasWidth, canvasHeight } = this._activeItem;
+        guides.forEach((guide, index) => {
+            let guideElement = this._guideElements[index];
+            if (!guideElement) {
+                guideElement = this._document.createElement('div');
+                guideElement.setAttribute('aria-hidden', 'true');
+                this._guideElements.push(guideElement);
+            }
+            const isVertical = guide.orientation === 'vertical';
+            guideElement.className =
+                `cdk-drag-canvas-guide cdk-drag-canvas-guide-${guide.orientation}`;
+            extendStyles(guideElement.style, {
+                position: 'absolute',
+                pointerEvents: 'none',
+                left: `${isVertical ? guide.position : 0}px`,
+                top: `${isVertical ? 0 : guide.position}px`,
+                width: `${isVertical ? 0 : canvasWidth}px`,
+                height: `${isVertical ? canvasHeight : 0}px`
+            });
+            if (guideElement.parentNode !== element) {
+                element.appendChild(guideElement);
+            }
+        });
+        // Remove any guides that aren't necessary anymore.
+        this._guideElements.splice(guides.length).forEach(removeGuide);
+    }
+    /** Removes all of the alignment guides from the DOM. */
+    _removeGuides() {
+        this._guideElements.forEach(removeGuide);
+        this._guideElements = [];
+    }
+    /**
+     * Gets the position that an item would have inside the canvas if its free drag position was
+     * zero. Has to be measured while the item isn't being dragged.
+     */
+    _getItemOrigin(item) {
+        const rect = this._getRectInCanvas(item);
+        const transform = item.getFreeDragPosition();
+        return { x: rect.left - transform.x, y: rect.top - transform.y };
+    }
+    /** Gets the dimensions of an item, relative to the canvas' scrollable area. */
+    _getRectInCanvas(item) {
+        const element = coerceElement(this.element);
+        const canvasRect = getMutableClientRect(element, this._document);
+        const itemRect = getMutableClientRect(item.getRootElement(), this._document);
+        return {
+            left: itemRect.left - canvasRect.left - element.clientLeft + element.scrollLeft,
+            top: itemRect.top - canvasRect.top - element.clientTop + element.scrollTop,
+            width: itemRect.width,
+            height: itemRect.height
+        };
+    }
+}
+/**
+ * Aligns the start, center or end of an item with the closest start, center
+ * or end of one of its siblings, if it's within a threshold, along one axis.
+ * @param start Start of the item along the axis.
+ * @param size Size of the item along the axis.
+ * @param siblings Starts and sizes of the siblings along the axis.
+ * @param threshold Maximum distance at which the item will be aligned.
+ * @returns The aligned start of the item and the position of the guide, or null if the
+ *     item isn't close enough to any of its siblings.
+ */
+function getAlignment(start, size, siblings, threshold) {
+    const itemEdges = [start, start + size / 2, start + size];
+    let result = null;
+    let closestDistance = threshold;
+    for (const [siblingStart, siblingSize] of siblings) {
+        const siblingEdges = [siblingStart, siblingStart + siblingSize / 2, siblingStart + siblingSize];
+        for (const siblingEdge of siblingEdges) {
+            for (const itemEdge of itemEdges) {
+                const distance = Math.abs(siblingEdge - itemEdge);
+                if (distance <= closestDistance) {
+                    closestDistance = distance;
+                    result = { position: start + siblingEdge - itemEdge, guide: siblingEdge };
+                }
+            }
+        }
+    }
+    return result;
+}
+/** Snaps a value to the closest grid line. */
+function snapToGrid(value, gridSize) {
+    return gridSize > 0 ? Math.round(value / gridSize) * gridSize : value;
+}
+/** Clamps a value between a minimum and a maximum. */
+function clamp$2(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+/** Checks whether two rectangles overlap. Rectangles that only touch don't overlap. */
+function rectsOverlap(a, b) {
+    return a.left < b.left + b.width && b.left < a.left + a.width &&
+        a.top < b.top + b.height && b.top < a.top + a.height;
+}
+/** Removes an alignment guide from the DOM. */
+function removeGuide(guide) {
+    if (guide.parentNode) {
+        guide.parentNode.removeChild(guide);
+    }
+}
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * Reference to an element that can be resized by dragging its handles. Uses a `DragRef` for
+ * each handle in order to track the user's pointer. Handles can also be focused and moved
+ * using the arrow keys.
+ */
+class ResizeRef {
+    constructor(element, _config, _document, _ngZone, _viewportRuler, _dragDropRegistry) {
+        this._config = _config;
+        this._document = _document;
+        this._ngZone = _ngZone;
+        this._viewportRuler = _viewportRuler;
+        this._dragDropRegistry = _dragDropRegistry;
+        /** Handles that have been registered with the ref. */
+        this._handles = [];
+        /** Handle that the user is currently dragging. */
+        this._activeHandle = null;
+        /** Element inside of which the element can't be resized beyond. */
+        this._boundaryElement = null;
+        /** Layout direction of the element. */
+        this._direction = 'ltr';
+        this._disabled = false;
+        /** Minimum width of the element, in pixels. */
+        this.minWidth = 0;
+        /** Maximum width of the element, in pixels. */
+        this.maxWidth = Infinity;
+        /** Minimum height of the element, in pixels. */
+        this.minHeight = 0;
+        /** Maximum height of the element, in pixels. */
+        this.maxHeight = Infinity;
+        /**
+         * Whether to preserve the ratio between the element's width and height,
+         * as it was when the user started resizing.
+         */
+        this.lockAspectRatio = false;
+        /** Amount of pixels by which to resize the element when the user presses an arrow key. */
+        this.keyboardStep = 10;
+        /** Emits before the user starts resizing the element. */
+        this.beforeStarted = new Subject();
+        /** Emits when the user starts resizing the element. */
+        this.started = new Subject();
+        /** Emits as the user is resizing the element. */
+        this.resized = new Subject();
+        /** Emits when the user stops resizing the element. */
+        this.ended = new Subject();
+        /** Handles keyboard events on the resize handles. */
+        this._handleKeydown = (event) => {
+            const handle = this._handles.find(current => current.element === event.currentTarget);
+            const keyCode = event.keyCode;
+            if (!handle || this._disabled || this._activeHandle || hasModifierKey(event) ||
+                (keyCode !== LEFT_ARROW && keyCode !== RIGHT_ARROW &&
+                    keyCode !== UP_ARROW && keyCode !== DOWN_ARROW)) {
+                return;
+            }
+            const direction = this._getHandleDirection(handle.position);
+            const step = this.keyboardStep;
+            const distance = {
+                x: keyCode === LEFT_ARROW ? -step : (keyCode === RIGHT_ARROW ? step : 0),
+                y: keyCode === UP_ARROW ? -step : (keyCode === DOWN_ARROW ? step : 0)
+            };
+            // Don't do anything if the key would move the handle along an axis that it doesn't resize.
+            if ((distance.x !== 0 && direction.x === 0) || (distance.y !== 0 && direction.y === 0)) {
+                return;
+            }
+            event.preventDefault();
+            this._ngZone.run(() => {
+                this.beforeStarted.next();
+                this._startResizing(handle);
+                this._resize(handle, distance);
+                this._stopResizing(handle);
+            });
+        };
+        this._element = coerceElement(element);
+    }
+    /** Whether resizing is disabled. */
+    get disabled() { return this._disabled; }
+    set disabled(value) {
+        this._disabled = value;
+        this._handles.forEach(handle => handle.dragRef.disabled = value);
+    }
+    /** Whether the user is currently resizing the element. */
+    isResizing() {
+        return !!this._activeHandle;
+    }
+    /**
+     * Registers the handles through which the user can resize the element.
+     * @param handles Handles that should be registered.
+     */
+    withHandles(handles) {
+        this._removeHandles();
+        this._handles = handles.map(handle => this._createHandle(handle));
+        return this;
+    }
+    /**
+     * Sets an element that the resizable element can't grow beyond.
+     * @param boundaryElement Element that the element should stay inside of.
+     */
+    withBoundaryElement(boundaryElement) {
+        this._boundaryElement = boundaryElement ? coerceElement(boundaryElement) : null;
+        this._handles.forEach(handle => handle.dragRef.withBoundaryElement(this._boundaryElement));
+        return this;
+    }
+    /** Sets the layout direction of the element. */
+    withDirection(direction) {
+        this._direction = direction;
+        this._handles.forEach(handle => handle.dragRef.withDirection(direction));
+        return this;
+    }
+    /** Gets the current dimensions of the element. */
+    getSize() {
+        const { width, height } = this._element.getBoundingClientRect();
+        return { width, height };
+    }
+    /**
+     * Resizes the element to specific dimensions. The dimensions are constrained
+     * by the ref's minimum and maximum sizes.
+     * @param size Dimensions to which to resize the element.
+     */
+    setSize(size) {
+        this._initialSize = this._currentSize = this.getSize();
+        this._measureSizeOffset();
+        this._applySize(this._constrainSize(size, true, true));
+        return this;
+    }
+    /** Removes the resizing functionality from the element. */
+    dispose() {
+        this._removeHandles();
+        this._boundaryElement = this._activeHandle = null;
+        this.beforeStarted.complete();
+        this.started.complete();
+        this.resized.complete();
+        this.ended.complete();
+    }
+    /** Creates the state for a handle and starts listening to its events. */
+    _createHandle(handle) {
+        const element = coerceElement(handle.element);
+        const position = handle.position;
+        const dragRef = new DragRef(element, this._config, this._document, this._ngZone, this._viewportRuler, this._dragDropRegistry);
+        const resizesX = position.indexOf('start') > -1 || position.indexOf('end') > -1;
+        const resizesY = position.indexOf('top') > -1 || position.indexOf('bottom') > -1;
+        const handleRef = {
+            element,
+            position,
+            dragRef,
+            subscription: new Subscription()
+        };
+        // The handle shouldn't move while it's being dragged, because the element's
+        // new dimensions will put it into its new place. We only need the `DragRef`
+        // in order to track the pointer and to constrain it to the boundary.
+        dragRef.constrainFreeDragPosition = () => ({ x: 0, y: 0 });
+        if (resizesX !== resizesY) {
+            dragRef.lockAxis = resizesX ? 'x' : 'y';
+        }
+        dragRef.disabled = this._disabled;
+        dragRef.withBoundaryElement(this._boundaryElement).withDirection(this._direction);
+        handleRef.subscription.add(dragRef.beforeStarted.subscribe(() => this.beforeStarted.next()));
+        handleRef.subscription.add(dragRef.started.subscribe(() => this._startResizing(handleRef)));
+        handleRef.subscription.add(dragRef.moved.subscribe(event => {
+            this._resize(handleRef, event.distance);
+        }));
+        handleRef.subscription.add(dragRef.ended.subscribe(() => this._stopResizing(handleRef)));
+        this._ngZone.runOutsideAngular(() => {
+            element.addEventListener('keydown', this._handleKeydown);
+        });
+        return handleRef;
+    }
+    /** Removes all of the registered handles. */
+    _removeHandles() {
+        this._handles.forEach(handle => {
+            handle.element.removeEventListener('keydown', this._handleKeydown);
+            handle.subscription.unsubscribe();
+            handle.dragRef.dispose();
+        });
+        this._handles = [];
+    }
+    /** Starts a resizing sequence through a specific handle. */
+    _startResizing(handle) {
+        this._activeHandle = handle;
+        this._initialSize = this._currentSize = this.getSize();
+        this._measureSizeOffset();
+        this.started.next({ source: this, handle: handle.element });
+    }
+    /**
+     * Resizes the element based on how far the user has moved a handle.
+     * @param handle Handle that is being moved.
+     * @param distance Distance that the handle has been moved since resizing started.
+     */
+    _resize(handle, distance) {
+        const { x: directionX, y: directionY } = this._getHandleDirection(handle.position);
+        const size = this._constrainSize({
+            width: this._initialSize.width + distance.x * directionX,
+            height: this._initialSize.height + distance.y * directionY
+        }, directionX !== 0, directionY !== 0);
+        if (size.width !== this._currentSize.width || size.height !== this._currentSize.height) {
+            this._applySize(size);
+            this.resized.next(Object.assign({ source: this, handle: handle.element }, size));
+        }
+    }
+    /** Stops the current resizing sequence. */
+    _stopResizing(handle) {
+        this._activeHandle = null;
+        this.ended.next(Object.assign({ source: this, handle: handle.element }, this._currentSize));
+    }
+    /**
+     * Gets the direction in which a handle changes the element's dimensions.
+     * `1` means that the dimension increases as the pointer moves to the right or down,
+     * `-1` means that it decreases and `0` means that the handle doesn't affect it.
+     */
+    _getHandleDirection(position) {
+        const isRtl = this._direction === 'rtl';
+        let x = 0;
+        let y = 0;
+        if (position.indexOf('end') > -1) {
+            x = isRtl ? -1 : 1;
+        }
+        else if (position.indexOf('start') > -1) {
+            x = isRtl ? 1 : -1;
+        }
+        if (position.indexOf('bottom') > -1) {
+            y = 1;
+        }
+        else if (position.indexOf('top') > -1) {
+            y = -1;
+        }
+        return { x, y };
+    }
+    /**
+     * Constrains a set of dimensions to the minimum and maximum sizes
+     * and to the element's aspect ratio, if it is locked.
+     * @param size Dimensions to be constrained.
+     * @param resizesX Whether the width is being changed.
+     * @param resizesY Whether the height is being changed.
+     */
+    _constrainSize(size, resizesX, resizesY) {
+        const initialSize = this._initialSize;
+        let width = resizesX ? clamp$3(size.width, this.minWidth, this.maxWidth) : initialSize.width;
+        let height = resizesY ? clamp$3(size.height, this.minHeight, this.maxHeight) : initialSize.height;
+        if (this.lockAspectRatio && initialSize.width > 0 && initialSize.height > 0) {
+            const ratio = initialSize.width / initialSize.height;
+            // Let the dimension that has changed the most determine the size.
+            if (!resizesY || (resizesX &&
+                Math.abs(width / initialSize.width - 1) >= Math.abs(height / initialSize.height - 1))) {
+                height = width / ratio;
+            }
+            else {
+                width = height * ratio;
+            }
+            width = clamp$3(width, Math.max(this.minWidth, this.minHeight * ratio), Math.min(this.maxWidth, this.maxHeight * ratio));
+            height = width / ratio;
+        }
+        return { width, height };
+    }
+    /** Measures how much the element's dimensions differ from its `width` and `height`. */
+    _measureSizeOffset() {
+        const styles = getComputedStyle(this._element);
+        const width = parseFloat(styles.width);
+        const height = parseFloat(styles.height);
+        this._sizeOffset = {
+            width: isNaN(width) ? 0 : this._initialSize.width - width,
+            height: isNaN(height) ? 0 : this._initialSize.height - height
+        };
+    }
+    /** Applies a set of dimensions to the element. */
+    _applySize(size) {
+        const style = this._element.style;
+        if (size.width !== this._currentSize.width) {
+            style.width = `${Math.max(0, size.width - this._sizeOffset.width)}px`;
         }
-        else if (element.scrollWidth - scrollLeft > element.clientWidth) {
-            horizontalScrollDirection = 2 /* RIGHT */;
+        if (size.height !== this._currentSize.height) {
+            style.height = `${Math.max(0, size.height - this._sizeOffset.height)}px`;
         }
+        this._currentSize = size;
     }
-    return [verticalScrollDirection, horizontalScrollDirection];
+}
+/** Clamps a value between a minimum and a maximum. */
+function clamp$3(value, min, max) {
+    return Math.max(min, Math.min(max, value));
 }
 
 /**
@@ -2264,7 +4739,8 @@ const activeCapturingEventOptions = normalizePassiveListenerOptions({
 });
 /**
  * Service that keeps track of all the drag item and drop container
- * instances, and manages global event listeners on the `document`.
+ * instances, and manages global event listeners on the `document`, as well as
+ * on the documents of any same-origin frames that contain items or containers.
  * @docs-private
  */
 // Note: this class is generic, rather than referencing CdkDrag and CdkDropList directly, in order
@@ -2279,6 +4755,11 @@ class DragDropRegistry {
         this._dragInstances = new Set();
         /** Drag item instances that are currently being dragged. */
         this._activeDragInstances = [];
+        /**
+         * Documents, other than the main one, that contain drag items or drop containers, as well as
+         * the number of items and containers that have registered each of them.
+         */
+        this._frameDocuments = new Map();
         /** Keeps track of the event listeners that we've bound to the `document`. */
         this._globalListeners = new Map();
         /**
@@ -2335,12 +4816,53 @@ class DragDropRegistry {
         // See https://bugs.webkit.org/show_bug.cgi?id=184250.
         if (this._dragInstances.size === 1) {
             this._ngZone.runOutsideAngular(() => {
-                // The event handler has to be explicitly active,
-                // because newer browsers make it passive by default.
-                this._document.addEventListener('touchmove', this._persistentTouchmoveListener, activeCapturingEventOptions);
+                this._getDocuments().forEach(document => this._addTouchmoveListener(document));
+            });
+        }
+    }
+    /**
+     * Registers a document, other than the main one, that contains drag items or drop containers.
+     * The global event listeners are bound to all the registered documents so that items
+     * can be dragged between same-origin frames.
+     * @param document Document to be registered.
+     */
+    registerDocument(document) {
+        if (document === this._document) {
+            return;
+        }
+        const count = this._frameDocuments.get(document) || 0;
+        this._frameDocuments.set(document, count + 1);
+        if (count === 0) {
+            this._ngZone.runOutsideAngular(() => {
+                if (this._dragInstances.size > 0) {
+                    this._addTouchmoveListener(document);
+                }
+                this._globalListeners.forEach((config, name) => {
+                    document.addEventListener(name, config.handler, config.options);
+                });
             });
         }
     }
+    /**
+     * Removes a document that was added through `registerDocument`. The document's listeners
+     * are removed once all of the items and containers that registered it have removed it.
+     * @param document Document to be removed.
+     */
+    removeDocument(document) {
+        const count = this._frameDocuments.get(document);
+        if (!count) {
+            return;
+        }
+        if (count > 1) {
+            this._frameDocuments.set(document, count - 1);
+            return;
+        }
+        this._frameDocuments.delete(document);
+        this._removeTouchmoveListener(document);
+        this._globalListeners.forEach((config, name) => {
+            document.removeEventListener(name, config.handler, config.options);
+        });
+    }
     /** Removes a drop container from the registry. */
     removeDropContainer(drop) {
         this._dropInstances.delete(drop);
@@ -2350,7 +4872,7 @@ class DragDropRegistry {
         this._dragInstances.delete(drag);
         this.stopDragging(drag);
         if (this._dragInstances.size === 0) {
-            this._document.removeEventListener('touchmove', this._persistentTouchmoveListener, activeCapturingEventOptions);
+            this._getDocuments().forEach(document => this._removeTouchmoveListener(document));
         }
     }
     /**
@@ -2397,8 +4919,10 @@ class DragDropRegistry {
                 });
             }
             this._ngZone.runOutsideAngular(() => {
-                this._globalListeners.forEach((config, name) => {
-                    this._document.addEventListener(name, config.handler, config.options);
+                this._getDocuments().forEach(document => {
+                    this._globalListeners.forEach((config, name) => {
+                        document.addEventListener(name, config.handler, config.options);
+                    });
                 });
             });
         }
@@ -2421,16 +4945,33 @@ class DragDropRegistry {
         this._dragInstances.forEach(instance => this.removeDragItem(instance));
         this._dropInstances.forEach(instance => this.removeDropContainer(instance));
         this._clearGlobalListeners();
+        this._frameDocuments.clear();
         this.pointerMove.complete();
         this.pointerUp.complete();
     }
     /** Clears out the global event listeners from the `document`. */
     _clearGlobalListeners() {
-        this._globalListeners.forEach((config, name) => {
-            this._document.removeEventListener(name, config.handler, config.options);
+        this._getDocuments().forEach(document => {
+            this._globalListeners.forEach((config, name) => {
+                document.removeEventListener(name, config.handler, config.options);
+            });
         });
         this._globalListeners.clear();
     }
+    /** Binds the persistent `touchmove` listener to a document. */
+    _addTouchmoveListener(document) {
+        // The event handler has to be explicitly active,
+        // because newer browsers make it passive by default.
+        document.addEventListener('touchmove', this._persistentTouchmoveListener, activeCapturingEventOptions);
+    }
+    /** Removes the persistent `touchmove` listener from a document. */
+    _removeTouchmoveListener(document) {
+        document.removeEventListener('touchmove', this._persistentTouchmoveListener, activeCapturingEventOptions);
+    }
+    /** Gets all of the documents to which the global listeners should be bound. */
+    _getDocuments() {
+        return [this._document, ...Array.from(this._frameDocuments.keys())];
+    }
 }
 DragDropRegistry.ɵprov = ɵɵdefineInjectable({ factory: function DragDropRegistry_Factory() { return new DragDropRegistry(ɵɵinject(NgZone), ɵɵinject(DOCUMENT)); }, token: DragDropRegistry, providedIn: "root" });
 DragDropRegistry.decorators = [
@@ -2478,6 +5019,21 @@ class DragDrop {
     createDropList(element) {
         return new DropListRef(element, this._dragDropRegistry, this._document, this._ngZone, this._viewportRuler);
     }
+    /**
+     * Turns an element into a canvas inside of which drag items can be positioned freely.
+     * @param element Element to which to attach the canvas functionality.
+     */
+    createDragCanvas(element) {
+        return new DragCanvasRef(element, this._document);
+    }
+    /**
+     * Turns an element into one that can be resized by dragging its handles.
+     * @param element Element to which to attach the resizing functionality.
+     * @param config Object used to configure the dragging behavior of the handles.
+     */
+    createResizable(element, config = DEFAULT_CONFIG) {
+        return new ResizeRef(element, config, this._document, this._ngZone, this._viewportRuler, this._dragDropRegistry);
+    }
 }
 DragDrop.ɵprov = ɵɵdefineInjectable({ factory: function DragDrop_Factory() { return new DragDrop(ɵɵinject(DOCUMENT), ɵɵinject(NgZone), ɵɵinject(ViewportRuler), ɵɵinject(DragDropRegistry)); }, token: DragDrop, providedIn: "root" });
 DragDrop.decorators = [
@@ -2490,6 +5046,192 @@ DragDrop.ctorParameters = () => [
     { type: DragDropRegistry }
 ];
 
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * Service that applies the outcome of drag&drop interactions to the data of the drop lists and
+ * keeps track of them so they can be undone and redone. The service is shared across the app by
+ * default, but it can be provided on a component in order to keep a separate history for it.
+ */
+class DragDropHistory {
+    constructor() {
+        /** Operations that can be undone, from oldest to newest. */
+        this._undoStack = [];
+        /** Operations that can be redone, from oldest to newest. */
+        this._redoStack = [];
+        /** Maximum number of operations that are kept in the history. */
+        this.maxSize = 100;
+        /** Emits when an operation is applied, undone or redone. */
+        this.changes = new Subject();
+    }
+    ngOnDestroy() {
+        this.clear();
+        this.changes.complete();
+    }
+    /**
+     * Applies the outcome of a drop to the data of the drop lists involved and records it in the
+     * history. Expects the `data` of the drop lists to be the arrays that they're rendering.
+     * @param event Event emitted when the user dropped the item.
+     * @param type Kind of operation to perform. Defaults to `copy` if the drop effect was `copy`,
+     *   to `move` if the item was dropped in the same list that it was picked up from and to
+     *   `transfer` otherwise.
+     * @returns Operation that was applied.
+     */
+    apply(event, type) {
+        const previousArray = event.previousContainer.data;
+        const currentArray = event.container.data;
+        const indices = event.previousIndices && event.previousIndices.length ?
+            event.previousIndices : [event.previousIndex];
+        if (!type) {
+            if (event.dropEffect === 'copy') {
+                type = 'copy';
+            }
+            else {
+                type = previousArray === currentArray ? 'move' : 'transfer';
+            }
+        }
+        if ((typeof ngDevMode === 'undefined' || ngDevMode) &&
+            type === 'move' && previousArray !== currentArray) {
+            throw Error('DragDropHistory: cannot record a `move` operation between different arrays.');
+        }
+        const previousIndices = indices
+            .filter((index, position) => index > -1 && index < previousArray.length &&
+            indices.indexOf(index) === position)
+            .sort((a, b) => a - b);
+        const items = previousIndices.map(index => previousArray[index]);
+        const maxIndex = type === 'move' ? currentArray.length - items.length : currentArray.length;
+        const operation = {
+            type,
+            items,
+            previousArray,
+            currentArray,
+            previousIndices,
+            currentIndex: Math.max(0, Math.min(maxIndex, event.currentIndex))
+        };
+        applyOperation(operation);
+        this._undoStack.push(operation);
+        this._redoStack = [];
+        if (this._undoStack.length > this.maxSize) {
+            this._undoStack.splice(0, this._undoStack.length - this.maxSize);
+        }
+        this.changes.next({ action: 'apply', operation });
+        return operation;
+    }
+    /**
+     * Reverts the most recent operation. The history is cleared if the arrays have been changed
+     * since the operation was applied in a way that doesn't allow it to be reverted safely.
+     * @returns Operation that was undone, or null if there was nothing to undo.
+     */
+    undo() {
+        const operation = this._undoStack.pop();
+        if (!operation) {
+            return null;
+        }
+        if (!canRevertOperation(operation)) {
+            this.clear();
+            return null;
+        }
+        revertOperation(operation);
+        this._redoStack.push(operation);
+        this.changes.next({ action: 'undo', operation });
+        return operation;
+    }
+    /**
+     * Re-applies the most recently undone operation. The history is cleared if the arrays have been
+     * changed since the operation was undone in a way that doesn't allow it to be applied safely.
+     * @returns Operation that was redone, or null if there was nothing to redo.
+     */
+    redo() {
+        const operation = this._redoStack.pop();
+        if (!operation) {
+            return null;
+        }
+        if (!canApplyOperation(operation)) {
+            this.clear();
+            return null;
+        }
+        applyOperation(operation);
+        this._undoStack.push(operation);
+        this.changes.next({ action: 'redo', operation });
+        return operation;
+    }
+    /** Whether there are any operations that can be undone. */
+    canUndo() {
+        return this._undoStack.length > 0;
+    }
+    /** Whether there are any operations that can be redone. */
+    canRedo() {
+        return this._redoStack.length > 0;
+    }
+    /** Removes all of the operations from the history. */
+    clear() {
+        this._undoStack = [];
+        this._redoStack = [];
+    }
+}
+DragDropHistory.ɵprov = ɵɵdefineInjectable({ factory: function DragDropHistory_Factory() { return new DragDropHistory(); }, token: DragDropHistory, providedIn: "root" });
+DragDropHistory.decorators = [
+    { type: Injectable, args: [{ providedIn: 'root' },] }
+];
+/** Applies an operation to its arrays. */
+function applyOperation(operation) {
+    const { type, previousArray, currentArray, previousIndices, currentIndex } = operation;
+    if (type === 'move') {
+        moveItemsInArray(currentArray, previousIndices, currentIndex);
+    }
+    else if (type === 'transfer') {
+        transferArrayItems(previousArray, currentArray, previousIndices, currentIndex);
+    }
+    else {
+        copyArrayItems(previousArray, currentArray, previousIndices, currentIndex);
+    }
+}
+/**
+ * Whether an operation can be applied to its arrays, i.e. its items are still at their
+ * previous indices and the current index is still within the current array.
+ */
+function canApplyOperation(operation) {
+    const { type, items, previousArray, currentArray, previousIndices, currentIndex } = operation;
+    const remainingLength = type === 'move' ? currentArray.length - items.length : currentArray.length;
+    return currentIndex <= remainingLength &&
+        previousIndices.every((index, i) => previousArray[index] === items[i]);
+}
+/**
+ * Whether an operation can be reverted, i.e. its items are still next to each other starting
+ * from the current index and their previous indices are still within the previous array.
+ */
+function canRevertOperation(operation) {
+    const { type, items, previousArray, currentArray, previousIndices, currentIndex } = operation;
+    if (currentIndex + items.length > currentArray.length ||
+        !items.every((item, i) => currentArray[currentIndex + i] === item)) {
+        return false;
+    }
+    // Copied items don't have to be restored in the previous array.
+    if (type === 'copy') {
+        return true;
+    }
+    // The items are inserted back in ascending order so each one can be placed
+    // at most at the end of the array, including the items restored before it.
+    const remainingLength = type === 'move' ? previousArray.length - items.length : previousArray.length;
+    return previousIndices.every((index, i) => index <= remainingLength + i);
+}
+/** Reverts an operation that was applied to its arrays. */
+function revertOperation(operation) {
+    const { type, items, previousArray, currentArray, previousIndices, currentIndex } = operation;
+    // All operations place the items next to each other, starting from the current index.
+    currentArray.splice(currentIndex, items.length);
+    // Copying doesn't remove the items from the previous array so there's nothing to restore.
+    // Otherwise put the items back in ascending order so the indices line up with the original.
+    if (type !== 'copy') {
+        previousIndices.forEach((index, i) => previousArray.splice(index, 0, items[i]));
+    }
+}
+
 /**
  * @license
  * Copyright Google LLC All Rights Reserved.
@@ -2505,6 +5247,20 @@ DragDrop.ctorParameters = () => [
  */
 const CDK_DRAG_PARENT = new InjectionToken('CDK_DRAG_PARENT');
 
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * Injection token that can be used for a `CdkResizable` to provide itself as a parent to
+ * its `CdkResizeHandle` directives. Used primarily to avoid circular imports.
+ * @docs-private
+ */
+const CDK_RESIZE_PARENT = new InjectionToken('CDK_RESIZE_PARENT');
+
 /**
  * @license
  * Copyright Google LLC All Rights Reserved.
@@ -2610,18 +5366,22 @@ const ɵ0 = undefined;
 class CdkDropList {
     constructor(
     /** Element that the drop list is attached to. */
-    element, dragDrop, _changeDetectorRef, _scrollDispatcher, _dir, _group, config) {
+    element, dragDrop, _changeDetectorRef, _scrollDispatcher, _dir, _group, config, 
+    /** @breaking-change 13.0.0 `_history` parameter to become required. */
+    _history) {
         this.element = element;
         this._changeDetectorRef = _changeDetectorRef;
         this._scrollDispatcher = _scrollDispatcher;
         this._dir = _dir;
         this._group = _group;
+        this._history = _history;
         /** Emits when the list has been destroyed. */
         this._destroyed = new Subject();
         /**
          * Other draggable containers that this container is connected to and into which the
          * container's items can be transferred. Can either be references to other drop containers,
-         * or their unique IDs.
+         * or their unique IDs. The containers don't have to be in the same shadow root or document,
+         * as long as any frames that they're rendered in have the same origin.
          */
         this.connectedTo = [];
         /**
@@ -2636,6 +5396,25 @@ class CdkDropList {
         this.enterPredicate = () => true;
         /** Functions that is used to determine whether an item can be sorted into a particular index. */
         this.sortPredicate = () => true;
+        /**
+         * Rules that determine which kinds of items, based on their `cdkDragKind`, the list accepts
+         * and the effect of dropping them into the list. The first rule that matches is used and items
+         * that don't match any rule are refused. All items are moved into the list if no rules are set.
+         */
+        this.acceptRules = null;
+        /**
+         * Whether to update the `data` arrays of the lists automatically when an item is dropped into
+         * this list, before `cdkDropListDropped` is emitted. Items are moved, transferred or copied
+         * depending on the drop effect, and the operation is recorded in the `DragDropHistory` so it
+         * can be undone. Drops with the `link` effect are left to be handled by the app.
+         */
+        this.autoUpdate = false;
+        /**
+         * Function that is used to determine whether native data is allowed to be dropped into the
+         * container. Note that browsers only expose the data itself once it has been dropped, but
+         * `event.dataTransfer.types` can be used to check what kind of data is being dragged.
+         */
+        this.nativeEnterPredicate = () => true;
         /** Emits when the user drops an item inside the container. */
         this.dropped = new EventEmitter();
         /**
@@ -2649,6 +5428,18 @@ class CdkDropList {
         this.exited = new EventEmitter();
         /** Emits as the user is swapping items while actively dragging. */
         this.sorted = new EventEmitter();
+        /** Emits when the items that are selected in the list have changed. */
+        this.selectionChange = new EventEmitter();
+        /** Emits when native data is dragged into the container. */
+        this.nativeEntered = new EventEmitter();
+        /** Emits when native data is dragged out of the container without being dropped. */
+        this.nativeExited = new EventEmitter();
+        /** Emits when the index at which native data would be inserted changes. */
+        this.nativeSorted = new EventEmitter();
+        /** Emits when native data, like files or text, is dropped into the container. */
+        this.nativeDropped = new EventEmitter();
+        /** Emits when an item is done animating to its new position while sorting. */
+        this.animationDone = new EventEmitter();
         /**
          * Keeps track of the items that are registered with this container. Historically we used to
          * do this with a `ContentChildren` query, however queries don't handle transplanted views very
@@ -2672,6 +5463,10 @@ class CdkDropList {
             (index, drag, drop) => {
                 return this.sortPredicate(index, drag.data, drop.data);
             };
+        this._dropListRef.nativeEnterPredicate =
+            (event, drop) => {
+                return this.nativeEnterPredicate(event, drop.data);
+            };
         this._setupInputSyncSubscription(this._dropListRef);
         this._handleEvents(this._dropListRef);
         CdkDropList._dropLists.push(this);
@@ -2690,6 +5485,26 @@ class CdkDropList {
         // the user in a disabled state, so we also need to sync it as it's being set.
         this._dropListRef.disabled = this._disabled = coerceBooleanProperty(value);
     }
+    /**
+     * Whether the user can select multiple items in the list, by clicking on them while holding
+     * down the ctrl, meta or shift keys, and drag them together.
+     */
+    get multiSelect() { return this._dropListRef.multiSelect; }
+    set multiSelect(value) {
+        // The selection can change before the user has started dragging
+        // so we need to sync the value with the ref as it's being set.
+        this._dropListRef.multiSelect = coerceBooleanProperty(value);
+    }
+    /**
+     * Whether the list accepts native drops, like files from the operating system
+     * or data that is being dragged from a different page.
+     */
+    get nativeDropsEnabled() { return this._dropListRef.nativeDropsEnabled; }
+    set nativeDropsEnabled(value) {
+        // Native drag sequences don't go through `beforeStarted`
+        // so the value has to be synced as it's being set.
+        this._dropListRef.nativeDropsEnabled = coerceBooleanProperty(value);
+    }
     /** Registers an items with the drop list. */
     addItem(item) {
         this._unsortedItems.add(item);
@@ -2700,6 +5515,7 @@ class CdkDropList {
     /** Removes an item from the drop list. */
     removeItem(item) {
         this._unsortedItems.delete(item);
+        this._dropListRef.deselectItem(item._dragRef);
         if (this._dropListRef.isDragging()) {
             this._syncItemsWithRef();
         }
@@ -2714,6 +5530,23 @@ class CdkDropList {
             return documentPosition & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
         });
     }
+    /** Gets the items that are currently selected, in the order in which they appear in the list. */
+    getSelectedItems() {
+        this._syncItemsWithRef();
+        return this._dropListRef.getSelectedItems().map(item => item.data);
+    }
+    /** Adds an item to the selection of the list. */
+    selectItem(item) {
+        this._dropListRef.selectItem(item._dragRef);
+    }
+    /** Removes an item from the selection of the list. */
+    deselectItem(item) {
+        this._dropListRef.deselectItem(item._dragRef);
+    }
+    /** Deselects all of the items in the list. */
+    clearSelection() {
+        this._dropListRef.clearSelection();
+    }
     ngOnDestroy() {
         const index = CdkDropList._dropLists.indexOf(this);
         if (index > -1) {
@@ -2768,6 +5601,8 @@ class CdkDropList {
             ref.sortingDisabled = coerceBooleanProperty(this.sortingDisabled);
             ref.autoScrollDisabled = coerceBooleanProperty(this.autoScrollDisabled);
             ref.autoScrollStep = coerceNumberProperty(this.autoScrollStep, 2);
+            ref.animationFn = this.animationFn || null;
+            ref.acceptRules = this.acceptRules;
             ref
                 .connectedTo(siblings.filter(drop => drop && drop !== this).map(list => list._dropListRef))
                 .withOrientation(this.orientation);
@@ -2801,16 +5636,70 @@ class CdkDropList {
                 item: event.item.data
             });
         });
+        ref.animationDone.subscribe(event => {
+            this.animationDone.emit({
+                container: this,
+                item: event.item ? event.item.data : null,
+                type: event.type,
+                element: event.element
+            });
+        });
+        ref.beforeSelectionChanged.subscribe(() => this._syncItemsWithRef());
+        ref.selectionChanged.subscribe(event => {
+            this.selectionChange.emit({
+                container: this,
+                items: event.items.map(item => item.data)
+            });
+            this._changeDetectorRef.markForCheck();
+        });
+        ref.nativeEntered.subscribe(event => {
+            this.nativeEntered.emit({
+                container: this,
+                currentIndex: event.currentIndex,
+                event: event.event
+            });
+            this._changeDetectorRef.markForCheck();
+        });
+        ref.nativeExited.subscribe(event => {
+            this.nativeExited.emit({ container: this, event: event.event });
+            this._changeDetectorRef.markForCheck();
+        });
+        ref.nativeSorted.subscribe(event => {
+            this.nativeSorted.emit({
+                container: this,
+                previousIndex: event.previousIndex,
+                currentIndex: event.currentIndex,
+                event: event.event
+            });
+        });
+        ref.nativeDropped.subscribe(event => {
+            this.nativeDropped.emit({
+                container: this,
+                currentIndex: event.currentIndex,
+                dataTransfer: event.dataTransfer,
+                files: Array.from(event.dataTransfer.files || []),
+                event: event.event
+            });
+            this._changeDetectorRef.markForCheck();
+        });
         ref.dropped.subscribe(event => {
-            this.dropped.emit({
+            const dropEvent = {
                 previousIndex: event.previousIndex,
                 currentIndex: event.currentIndex,
+                previousIndices: event.previousIndices,
                 previousContainer: event.previousContainer.data,
                 container: event.container.data,
                 item: event.item.data,
+                items: event.items.map(item => item.data),
                 isPointerOverContainer: event.isPointerOverContainer,
-                distance: event.distance
-            });
+                distance: event.distance,
+                dropEffect: event.dropEffect
+            };
+            if (coerceBooleanProperty(this.autoUpdate) && this._history &&
+                event.dropEffect !== 'link') {
+                this._history.apply(dropEvent);
+            }
+            this.dropped.emit(dropEvent);
             // Mark for check since all of these events run outside of change
             // detection and we're not guaranteed for something else to have triggered it.
             this._changeDetectorRef.markForCheck();
@@ -2818,7 +5707,7 @@ class CdkDropList {
     }
     /** Assigns the default input values based on a provided config object. */
     _assignDefaults(config) {
-        const { lockAxis, draggingDisabled, sortingDisabled, listAutoScrollDisabled, listOrientation } = config;
+        const { lockAxis, draggingDisabled, sortingDisabled, listAutoScrollDisabled, listOrientation, animationFn } = config;
         this.disabled = draggingDisabled == null ? false : draggingDisabled;
         this.sortingDisabled = sortingDisabled == null ? false : sortingDisabled;
         this.autoScrollDisabled = listAutoScrollDisabled == null ? false : listAutoScrollDisabled;
@@ -2826,6 +5715,9 @@ class CdkDropList {
         if (lockAxis) {
             this.lockAxis = lockAxis;
         }
+        if (animationFn) {
+            this.animationFn = animationFn;
+        }
     }
     /** Syncs up the registered drag items with underlying drop list ref. */
     _syncItemsWithRef() {
@@ -2849,6 +5741,7 @@ CdkDropList.decorators = [
                     '[class.cdk-drop-list-disabled]': 'disabled',
                     '[class.cdk-drop-list-dragging]': '_dropListRef.isDragging()',
                     '[class.cdk-drop-list-receiving]': '_dropListRef.isReceiving()',
+                    '[class.cdk-drop-list-refusing]': '_dropListRef.isRefusing()',
                 }
             },] }
 ];
@@ -2859,7 +5752,8 @@ CdkDropList.ctorParameters = () => [
     { type: ScrollDispatcher },
     { type: Directionality, decorators: [{ type: Optional }] },
     { type: CdkDropListGroup, decorators: [{ type: Optional }, { type: Inject, args: [CDK_DROP_LIST_GROUP,] }, { type: SkipSelf }] },
-    { type: undefined, decorators: [{ type: Optional }, { type: Inject, args: [CDK_DRAG_CONFIG,] }] }
+    { type: undefined, decorators: [{ type: Optional }, { type: Inject, args: [CDK_DRAG_CONFIG,] }] },
+    { type: DragDropHistory, decorators: [{ type: Optional }] }
 ];
 CdkDropList.propDecorators = {
     connectedTo: [{ type: Input, args: ['cdkDropListConnectedTo',] }],
@@ -2871,12 +5765,24 @@ CdkDropList.propDecorators = {
     sortingDisabled: [{ type: Input, args: ['cdkDropListSortingDisabled',] }],
     enterPredicate: [{ type: Input, args: ['cdkDropListEnterPredicate',] }],
     sortPredicate: [{ type: Input, args: ['cdkDropListSortPredicate',] }],
+    acceptRules: [{ type: Input, args: ['cdkDropListAccepts',] }],
+    autoUpdate: [{ type: Input, args: ['cdkDropListAutoUpdate',] }],
     autoScrollDisabled: [{ type: Input, args: ['cdkDropListAutoScrollDisabled',] }],
     autoScrollStep: [{ type: Input, args: ['cdkDropListAutoScrollStep',] }],
+    multiSelect: [{ type: Input, args: ['cdkDropListMultiSelect',] }],
+    nativeDropsEnabled: [{ type: Input, args: ['cdkDropListNativeDropsEnabled',] }],
+    nativeEnterPredicate: [{ type: Input, args: ['cdkDropListNativeEnterPredicate',] }],
+    animationFn: [{ type: Input, args: ['cdkDropListAnimation',] }],
     dropped: [{ type: Output, args: ['cdkDropListDropped',] }],
     entered: [{ type: Output, args: ['cdkDropListEntered',] }],
     exited: [{ type: Output, args: ['cdkDropListExited',] }],
-    sorted: [{ type: Output, args: ['cdkDropListSorted',] }]
+    sorted: [{ type: Output, args: ['cdkDropListSorted',] }],
+    selectionChange: [{ type: Output, args: ['cdkDropListSelectionChange',] }],
+    nativeEntered: [{ type: Output, args: ['cdkDropListNativeEntered',] }],
+    nativeExited: [{ type: Output, args: ['cdkDropListNativeExited',] }],
+    nativeSorted: [{ type: Output, args: ['cdkDropListNativeSorted',] }],
+    nativeDropped: [{ type: Output, args: ['cdkDropListNativeDropped',] }],
+    animationDone: [{ type: Output, args: ['cdkDropListAnimationDone',] }]
 };
 
 /**
@@ -2953,17 +5859,164 @@ class CdkDragPlaceholder {
         this.templateRef = templateRef;
     }
 }
-CdkDragPlaceholder.decorators = [
+CdkDragPlaceholder.decorators = [
+    { type: Directive, args: [{
+                selector: 'ng-template[cdkDragPlaceholder]',
+                providers: [{ provide: CDK_DRAG_PLACEHOLDER, useExisting: CdkDragPlaceholder }],
+            },] }
+];
+CdkDragPlaceholder.ctorParameters = () => [
+    { type: TemplateRef }
+];
+CdkDragPlaceholder.propDecorators = {
+    data: [{ type: Input }]
+};
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * Injection token that can be used to reference instances of `CdkDragPreview`. It serves as
+ * alternative token to the actual `CdkDragPreview` class which could cause unnecessary
+ * retention of the class and its directive metadata.
+ */
+const CDK_DRAG_PREVIEW = new InjectionToken('CdkDragPreview');
+/**
+ * Element that will be used as a template for the preview
+ * of a CdkDrag when it is being dragged.
+ */
+class CdkDragPreview {
+    constructor(templateRef) {
+        this.templateRef = templateRef;
+        this._matchSize = false;
+    }
+    /** Whether the preview should preserve the same size as the item that is being dragged. */
+    get matchSize() { return this._matchSize; }
+    set matchSize(value) { this._matchSize = coerceBooleanProperty(value); }
+}
+CdkDragPreview.decorators = [
+    { type: Directive, args: [{
+                selector: 'ng-template[cdkDragPreview]',
+                providers: [{ provide: CDK_DRAG_PREVIEW, useExisting: CdkDragPreview }],
+            },] }
+];
+CdkDragPreview.ctorParameters = () => [
+    { type: TemplateRef }
+];
+CdkDragPreview.propDecorators = {
+    data: [{ type: Input }],
+    matchSize: [{ type: Input }]
+};
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * Injection token that can be used to reference instances of `CdkDragCanvas`. It serves as
+ * alternative token to the actual `CdkDragCanvas` class which could cause unnecessary
+ * retention of the class and its directive metadata.
+ */
+const CDK_DRAG_CANVAS = new InjectionToken('CdkDragCanvas');
+const ɵ0$1 = undefined;
+/**
+ * Container inside of which `cdkDrag` items can be positioned freely. Items are kept inside the
+ * canvas, can be snapped to a grid and are aligned with their siblings while they're being
+ * dragged. The canvas element should be positioned (e.g. `position: relative`) so that the
+ * alignment guides can be rendered inside it.
+ */
+class CdkDragCanvas {
+    constructor(
+    /** Element that the canvas is attached to. */
+    element, dragDrop, _changeDetectorRef) {
+        this.element = element;
+        this._changeDetectorRef = _changeDetectorRef;
+        /** Size of the grid, in pixels, to which the items are snapped. Zero disables snapping. */
+        this.gridSize = 0;
+        /**
+         * Distance, in pixels, at which an item is aligned with one of its siblings and an
+         * alignment guide is shown. Zero disables the alignment guides.
+         */
+        this.guideThreshold = 5;
+        /** Whether the items are prevented from overlapping each other. */
+        this.preventOverlap = false;
+        /** Emits when the user drops an item inside the canvas. */
+        this.dropped = new EventEmitter();
+        if (typeof ngDevMode === 'undefined' || ngDevMode) {
+            assertElementNode(element.nativeElement, 'cdkDragCanvas');
+        }
+        this._canvasRef = dragDrop.createDragCanvas(element);
+        this._canvasRef.data = this;
+        this._canvasRef.beforeStarted.subscribe(() => {
+            this._canvasRef.gridSize = coerceNumberProperty(this.gridSize);
+            this._canvasRef.guideThreshold = coerceNumberProperty(this.guideThreshold);
+            this._canvasRef.preventOverlap = coerceBooleanProperty(this.preventOverlap);
+        });
+        this._canvasRef.dropped.subscribe(event => {
+            this.dropped.emit({
+                container: this,
+                item: event.item.data,
+                position: event.position,
+                previousPosition: event.previousPosition
+            });
+            // Mark for check since all of these events run outside of change
+            // detection and we're not guaranteed for something else to have triggered it.
+            this._changeDetectorRef.markForCheck();
+        });
+    }
+    /** Registers an item with the canvas. */
+    addItem(item) {
+        this._canvasRef.addItem(item._dragRef);
+    }
+    /** Removes an item from the canvas. */
+    removeItem(item) {
+        this._canvasRef.removeItem(item._dragRef);
+    }
+    /** Gets the position of an item, relative to the canvas. */
+    getItemPosition(item) {
+        return this._canvasRef.getItemPosition(item._dragRef);
+    }
+    /** Moves an item to a specific position, relative to the canvas. */
+    setItemPosition(item, position) {
+        this._canvasRef.setItemPosition(item._dragRef, position);
+    }
+    ngOnDestroy() {
+        this._canvasRef.dispose();
+    }
+}
+CdkDragCanvas.decorators = [
     { type: Directive, args: [{
-                selector: 'ng-template[cdkDragPlaceholder]',
-                providers: [{ provide: CDK_DRAG_PLACEHOLDER, useExisting: CdkDragPlaceholder }],
+                selector: '[cdkDragCanvas]',
+                exportAs: 'cdkDragCanvas',
+                providers: [
+                    // Prevent the items from being picked up by a drop list that the canvas is inside of.
+                    { provide: CDK_DROP_LIST, useValue: ɵ0$1 },
+                    { provide: CDK_DRAG_CANVAS, useExisting: CdkDragCanvas },
+                ],
+                host: {
+                    'class': 'cdk-drag-canvas',
+                    '[class.cdk-drag-canvas-dragging]': '_canvasRef.isDragging()',
+                }
             },] }
 ];
-CdkDragPlaceholder.ctorParameters = () => [
-    { type: TemplateRef }
+CdkDragCanvas.ctorParameters = () => [
+    { type: ElementRef },
+    { type: DragDrop },
+    { type: ChangeDetectorRef }
 ];
-CdkDragPlaceholder.propDecorators = {
-    data: [{ type: Input }]
+CdkDragCanvas.propDecorators = {
+    data: [{ type: Input, args: ['cdkDragCanvasData',] }],
+    gridSize: [{ type: Input, args: ['cdkDragCanvasGridSize',] }],
+    guideThreshold: [{ type: Input, args: ['cdkDragCanvasGuideThreshold',] }],
+    preventOverlap: [{ type: Input, args: ['cdkDragCanvasPreventOverlap',] }],
+    dropped: [{ type: Output, args: ['cdkDragCanvasDropped',] }]
 };
 
 /**
@@ -2974,37 +6027,31 @@ CdkDragPlaceholder.propDecorators = {
  * found in the LICENSE file at https://angular.io/license
  */
 /**
- * Injection token that can be used to reference instances of `CdkDragPreview`. It serves as
- * alternative token to the actual `CdkDragPreview` class which could cause unnecessary
- * retention of the class and its directive metadata.
- */
-const CDK_DRAG_PREVIEW = new InjectionToken('CdkDragPreview');
-/**
- * Element that will be used as a template for the preview
- * of a CdkDrag when it is being dragged.
+ * Messages that are announced to assistive technology when the user performs an action while
+ * dragging an item using the keyboard. A different implementation can be provided in order to
+ * translate the messages. Note that the `cdkDragKeyboardMessage` input takes precedence.
  */
-class CdkDragPreview {
-    constructor(templateRef) {
-        this.templateRef = templateRef;
-        this._matchSize = false;
+class CdkDragKeyboardIntl {
+    /** Gets the message that should be announced for an action performed using the keyboard. */
+    getMessage(event) {
+        const position = event.currentIndex + 1;
+        switch (event.action) {
+            case 'started':
+                return `Picked up item at position ${position}. Use the arrow keys to move it, ` +
+                    `space or enter to drop it and escape to cancel.`;
+            case 'moved':
+                return `Moved to position ${position}.`;
+            case 'dropped':
+                return `Dropped item at position ${position}.`;
+            case 'cancelled':
+                return `Dragging cancelled. Item returned to position ${position}.`;
+        }
     }
-    /** Whether the preview should preserve the same size as the item that is being dragged. */
-    get matchSize() { return this._matchSize; }
-    set matchSize(value) { this._matchSize = coerceBooleanProperty(value); }
 }
-CdkDragPreview.decorators = [
-    { type: Directive, args: [{
-                selector: 'ng-template[cdkDragPreview]',
-                providers: [{ provide: CDK_DRAG_PREVIEW, useExisting: CdkDragPreview }],
-            },] }
-];
-CdkDragPreview.ctorParameters = () => [
-    { type: TemplateRef }
+CdkDragKeyboardIntl.ɵprov = ɵɵdefineInjectable({ factory: function CdkDragKeyboardIntl_Factory() { return new CdkDragKeyboardIntl(); }, token: CdkDragKeyboardIntl, providedIn: "root" });
+CdkDragKeyboardIntl.decorators = [
+    { type: Injectable, args: [{ providedIn: 'root' },] }
 ];
-CdkDragPreview.propDecorators = {
-    data: [{ type: Input }],
-    matchSize: [{ type: Input }]
-};
 
 /**
  * @license
@@ -3025,7 +6072,15 @@ class CdkDrag {
      * @deprecated `_document` parameter no longer being used and will be removed.
      * @breaking-change 12.0.0
      */
-    _document, _ngZone, _viewContainerRef, config, _dir, dragDrop, _changeDetectorRef, _selfHandle, _parentDrag) {
+    _document, _ngZone, _viewContainerRef, config, _dir, dragDrop, _changeDetectorRef, _selfHandle, _parentDrag, 
+    /** @breaking-change 13.0.0 `_liveAnnouncer` parameter to become required. */
+    _liveAnnouncer, 
+    /** @breaking-change 13.0.0 `_canvas` parameter to become required. */
+    _canvas, 
+    /** @breaking-change 13.0.0 `_scrollDispatcher` parameter to become required. */
+    _scrollDispatcher, 
+    /** @breaking-change 13.0.0 `_keyboardIntl` parameter to become required. */
+    _keyboardIntl) {
         this.element = element;
         this.dropContainer = dropContainer;
         this._ngZone = _ngZone;
@@ -3034,7 +6089,19 @@ class CdkDrag {
         this._changeDetectorRef = _changeDetectorRef;
         this._selfHandle = _selfHandle;
         this._parentDrag = _parentDrag;
+        this._liveAnnouncer = _liveAnnouncer;
+        this._canvas = _canvas;
+        this._scrollDispatcher = _scrollDispatcher;
+        this._keyboardIntl = _keyboardIntl;
         this._destroyed = new Subject();
+        /**
+         * Whether to auto-scroll the viewport and any `cdkScrollable` ancestors when the user moves
+         * their pointer close to their edges, while the item is being dragged outside of a drop list.
+         * Auto-scrolling is opt-in, so this has to be set to `false` in order to enable it.
+         */
+        this.autoScrollDisabled = true;
+        this._keyboardDraggingEnabled = false;
+        this._nativeData = null;
         /** Emits when the user starts dragging the item. */
         this.started = new EventEmitter();
         /** Emits when the user has released a drag item, before any animations have started. */
@@ -3047,6 +6114,19 @@ class CdkDrag {
         this.exited = new EventEmitter();
         /** Emits when the user drops the item inside a container. */
         this.dropped = new EventEmitter();
+        /** Emits when the user starts dragging the item out as native data. */
+        this.nativeStarted = new EventEmitter();
+        /** Emits when a native drag sequence of the item has ended. */
+        this.nativeEnded = new EventEmitter();
+        /**
+         * Emits when the effect of dropping the item at its current position changes, e.g. because
+         * the user moved it over a list that copies the item or that refuses it altogether.
+         */
+        this.dropEffectChanged = new EventEmitter();
+        /** Emits when an animation of the item's preview or placeholder is done. */
+        this.animationDone = new EventEmitter();
+        /** Emits when the user performs an action while dragging the item using the keyboard. */
+        this.keyboardAction = new EventEmitter();
         /**
          * Emits as the user is dragging the item. Use with caution,
          * because this event will fire for every pixel that the user has dragged.
@@ -3057,12 +6137,14 @@ class CdkDrag {
                 pointerPosition: movedEvent.pointerPosition,
                 event: movedEvent.event,
                 delta: movedEvent.delta,
-                distance: movedEvent.distance
+                distance: movedEvent.distance,
+                level: movedEvent.level
             }))).subscribe(observer);
             return () => {
                 subscription.unsubscribe();
             };
         });
+        this._initialTabIndex = element.nativeElement.getAttribute('tabindex');
         this._dragRef = dragDrop.createDrag(element, {
             dragStartThreshold: config && config.dragStartThreshold != null ?
                 config.dragStartThreshold : 5,
@@ -3089,6 +6171,10 @@ class CdkDrag {
             this._dragRef._withDropContainer(dropContainer._dropListRef);
             dropContainer.addItem(this);
         }
+        else if (_canvas) {
+            // Items inside of a drop list are sorted by the list so they can't be positioned freely.
+            _canvas.addItem(this);
+        }
         this._syncInputs(this._dragRef);
         this._handleEvents(this._dragRef);
     }
@@ -3100,6 +6186,28 @@ class CdkDrag {
         this._disabled = coerceBooleanProperty(value);
         this._dragRef.disabled = this._disabled;
     }
+    /**
+     * Whether the item can be dragged using the keyboard. Once enabled, items inside a drop list
+     * can be picked up by pressing space or enter while they, or one of their handles, have focus.
+     * Note that the item is only made focusable automatically if it doesn't have handles.
+     */
+    get keyboardDraggingEnabled() { return this._keyboardDraggingEnabled; }
+    set keyboardDraggingEnabled(value) {
+        this._keyboardDraggingEnabled = coerceBooleanProperty(value);
+        this._dragRef.keyboardDraggingEnabled = this._keyboardDraggingEnabled;
+    }
+    /**
+     * Data that is exposed to native drop targets, keyed by its format (e.g. `text/plain`). When
+     * set, the item can be dragged out of the page, into other applications or into drop lists that
+     * accept native drops. Note that the browser's own drag&drop is used for such items, rather
+     * than the CDK's, which means that handles and the custom preview and placeholder are ignored.
+     */
+    get nativeData() { return this._nativeData; }
+    set nativeData(value) {
+        // The `draggable` attribute has to be set before the user starts dragging.
+        this._nativeData = value || null;
+        this._dragRef.withNativeDragData(this._nativeData);
+    }
     /**
      * Returns the element that is being used as a placeholder
      * while the current element is being dragged.
@@ -3178,6 +6286,9 @@ class CdkDrag {
         if (this.dropContainer) {
             this.dropContainer.removeItem(this);
         }
+        if (this._canvas && !this.dropContainer) {
+            this._canvas.removeItem(this);
+        }
         const index = CdkDrag._dragInstances.indexOf(this);
         if (index > -1) {
             CdkDrag._dragInstances.splice(index, 1);
@@ -3235,6 +6346,22 @@ class CdkDrag {
                     dragStartDelay : coerceNumberProperty(dragStartDelay);
                 ref.constrainPosition = this.constrainPosition;
                 ref.previewClass = this.previewClass;
+                ref.autoScrollDisabled = coerceBooleanProperty(this.autoScrollDisabled);
+                ref.autoScrollThreshold = coerceNumberProperty(this.autoScrollThreshold, 50);
+                if (this.autoScrollSpeed) {
+                    ref.autoScrollSpeed = this.autoScrollSpeed;
+                }
+                ref.animationFn = this.animationFn || null;
+                ref.kinds = this.kind ? coerceArray(this.kind) : [];
+                // Note that we resolve the scrollable parents here so that we delay the resolution
+                // as long as possible, ensuring that the element is in its final place in the DOM.
+                if (!this._scrollableParentsResolved && this._scrollDispatcher) {
+                    ref.withScrollableParents(this._scrollDispatcher
+                        .getAncestorScrollContainers(this.element)
+                        .map(scrollable => scrollable.getElementRef().nativeElement));
+                    // Only do this once since it involves traversing the DOM.
+                    this._scrollableParentsResolved = true;
+                }
                 ref
                     .withBoundaryElement(this._getBoundaryElement())
                     .withPlaceholderTemplate(placeholder)
@@ -3268,6 +6395,25 @@ class CdkDrag {
             }
         });
     }
+    /**
+     * Gets the tab index of the host element. Items inside a drop list are made focusable if they
+     * can be dragged using the keyboard, unless they have handles or a custom tab index.
+     * @docs-private
+     */
+    _getTabIndex() {
+        if (this._initialTabIndex != null || !this.keyboardDraggingEnabled || !this.dropContainer ||
+            this.disabled || (this._handles && this._handles.length)) {
+            return this._initialTabIndex;
+        }
+        return '0';
+    }
+    /** Gets the message that should be announced for an action performed using the keyboard. */
+    _getKeyboardMessage(event) {
+        if (this.keyboardMessage) {
+            return this.keyboardMessage(event);
+        }
+        return this._keyboardIntl ? this._keyboardIntl.getMessage(event) : '';
+    }
     /** Handles the events from the underlying `DragRef`. */
     _handleEvents(ref) {
         ref.started.subscribe(() => {
@@ -3302,17 +6448,53 @@ class CdkDrag {
             this.dropped.emit({
                 previousIndex: event.previousIndex,
                 currentIndex: event.currentIndex,
+                previousIndices: event.previousIndices,
                 previousContainer: event.previousContainer.data,
                 container: event.container.data,
                 isPointerOverContainer: event.isPointerOverContainer,
                 item: this,
-                distance: event.distance
+                items: event.items.map(item => item.data),
+                distance: event.distance,
+                dropEffect: event.dropEffect
+            });
+        });
+        ref.dropEffectChanged.subscribe(event => {
+            // The effect can change while the pointer is moving, which happens outside the NgZone.
+            this._ngZone.run(() => {
+                this.dropEffectChanged.emit({
+                    source: this,
+                    container: event.container.data,
+                    effect: event.effect
+                });
             });
         });
+        ref.nativeDragStarted.subscribe(event => {
+            this.nativeStarted.emit({ source: this, event: event.event });
+        });
+        ref.nativeDragEnded.subscribe(event => {
+            this.nativeEnded.emit({ source: this, dropEffect: event.dropEffect, event: event.event });
+            this._changeDetectorRef.markForCheck();
+        });
+        ref.animationDone.subscribe(event => {
+            this.animationDone.emit({ source: this, type: event.type, element: event.element });
+        });
+        ref.keyboardAction.subscribe(event => {
+            const keyboardEvent = {
+                source: this,
+                action: event.action,
+                container: event.container.data,
+                currentIndex: event.currentIndex
+            };
+            this.keyboardAction.emit(keyboardEvent);
+            if (this._liveAnnouncer) {
+                this._liveAnnouncer.announce(this._getKeyboardMessage(keyboardEvent));
+            }
+            this._changeDetectorRef.markForCheck();
+        });
     }
     /** Assigns the default input values based on a provided config object. */
     _assignDefaults(config) {
-        const { lockAxis, dragStartDelay, constrainPosition, previewClass, boundaryElement, draggingDisabled, rootElementSelector, previewContainer } = config;
+        const { lockAxis, dragStartDelay, constrainPosition, previewClass, boundaryElement, draggingDisabled, rootElementSelector, previewContainer, keyboardDraggingEnabled, keyboardMessage, dragAutoScrollDisabled, dragAutoScrollThreshold, dragAutoScrollSpeed, animationFn } = config;
         this.disabled = draggingDisabled == null ? false : draggingDisabled;
         this.dragStartDelay = dragStartDelay || 0;
         if (lockAxis) {
@@ -3333,6 +6515,24 @@ class CdkDrag {
         if (previewContainer) {
             this.previewContainer = previewContainer;
         }
+        if (keyboardDraggingEnabled != null) {
+            this.keyboardDraggingEnabled = keyboardDraggingEnabled;
+        }
+        if (keyboardMessage) {
+            this.keyboardMessage = keyboardMessage;
+        }
+        if (dragAutoScrollDisabled != null) {
+            this.autoScrollDisabled = dragAutoScrollDisabled;
+        }
+        if (dragAutoScrollThreshold != null) {
+            this.autoScrollThreshold = dragAutoScrollThreshold;
+        }
+        if (dragAutoScrollSpeed) {
+            this.autoScrollSpeed = dragAutoScrollSpeed;
+        }
+        if (animationFn) {
+            this.animationFn = animationFn;
+        }
     }
 }
 CdkDrag._dragInstances = [];
@@ -3344,6 +6544,9 @@ CdkDrag.decorators = [
                     'class': DRAG_HOST_CLASS,
                     '[class.cdk-drag-disabled]': 'disabled',
                     '[class.cdk-drag-dragging]': '_dragRef.isDragging()',
+                    '[class.cdk-drag-selected]': '_dragRef.isSelected()',
+                    '[class.cdk-drag-keyboard-dragging]': '_dragRef.isKeyboardDragging()',
+                    '[attr.tabindex]': '_getTabIndex()',
                 },
                 providers: [{ provide: CDK_DRAG_PARENT, useExisting: CdkDrag }]
             },] }
@@ -3359,42 +6562,353 @@ CdkDrag.ctorParameters = () => [
     { type: DragDrop },
     { type: ChangeDetectorRef },
     { type: CdkDragHandle, decorators: [{ type: Optional }, { type: Self }, { type: Inject, args: [CDK_DRAG_HANDLE,] }] },
-    { type: CdkDrag, decorators: [{ type: Optional }, { type: SkipSelf }, { type: Inject, args: [CDK_DRAG_PARENT,] }] }
+    { type: CdkDrag, decorators: [{ type: Optional }, { type: SkipSelf }, { type: Inject, args: [CDK_DRAG_PARENT,] }] },
+    { type: LiveAnnouncer, decorators: [{ type: Optional }] },
+    { type: CdkDragCanvas, decorators: [{ type: Optional }, { type: SkipSelf }, { type: Inject, args: [CDK_DRAG_CANVAS,] }] },
+    { type: ScrollDispatcher, decorators: [{ type: Optional }] },
+    { type: CdkDragKeyboardIntl, decorators: [{ type: Optional }] }
 ];
 CdkDrag.propDecorators = {
     _handles: [{ type: ContentChildren, args: [CDK_DRAG_HANDLE, { descendants: true },] }],
     _previewTemplate: [{ type: ContentChild, args: [CDK_DRAG_PREVIEW,] }],
     _placeholderTemplate: [{ type: ContentChild, args: [CDK_DRAG_PLACEHOLDER,] }],
     data: [{ type: Input, args: ['cdkDragData',] }],
+    kind: [{ type: Input, args: ['cdkDragKind',] }],
     lockAxis: [{ type: Input, args: ['cdkDragLockAxis',] }],
     rootElementSelector: [{ type: Input, args: ['cdkDragRootElement',] }],
     boundaryElement: [{ type: Input, args: ['cdkDragBoundary',] }],
     dragStartDelay: [{ type: Input, args: ['cdkDragStartDelay',] }],
+    autoScrollDisabled: [{ type: Input, args: ['cdkDragAutoScrollDisabled',] }],
+    autoScrollThreshold: [{ type: Input, args: ['cdkDragAutoScrollThreshold',] }],
+    autoScrollSpeed: [{ type: Input, args: ['cdkDragAutoScrollSpeed',] }],
+    animationFn: [{ type: Input, args: ['cdkDragAnimation',] }],
     freeDragPosition: [{ type: Input, args: ['cdkDragFreeDragPosition',] }],
     disabled: [{ type: Input, args: ['cdkDragDisabled',] }],
     constrainPosition: [{ type: Input, args: ['cdkDragConstrainPosition',] }],
     previewClass: [{ type: Input, args: ['cdkDragPreviewClass',] }],
     previewContainer: [{ type: Input, args: ['cdkDragPreviewContainer',] }],
+    keyboardDraggingEnabled: [{ type: Input, args: ['cdkDragKeyboardDraggingEnabled',] }],
+    keyboardMessage: [{ type: Input, args: ['cdkDragKeyboardMessage',] }],
+    nativeData: [{ type: Input, args: ['cdkDragNativeData',] }],
     started: [{ type: Output, args: ['cdkDragStarted',] }],
     released: [{ type: Output, args: ['cdkDragReleased',] }],
     ended: [{ type: Output, args: ['cdkDragEnded',] }],
     entered: [{ type: Output, args: ['cdkDragEntered',] }],
     exited: [{ type: Output, args: ['cdkDragExited',] }],
     dropped: [{ type: Output, args: ['cdkDragDropped',] }],
+    nativeStarted: [{ type: Output, args: ['cdkDragNativeStarted',] }],
+    nativeEnded: [{ type: Output, args: ['cdkDragNativeEnded',] }],
+    dropEffectChanged: [{ type: Output, args: ['cdkDragDropEffectChanged',] }],
+    animationDone: [{ type: Output, args: ['cdkDragAnimationDone',] }],
+    keyboardAction: [{ type: Output, args: ['cdkDragKeyboardAction',] }],
     moved: [{ type: Output, args: ['cdkDragMoved',] }]
 };
-/** Gets the closest ancestor of an element that matches a selector. */
-function getClosestMatchingAncestor(element, selector) {
-    let currentElement = element.parentElement;
-    while (currentElement) {
-        // IE doesn't support `matches` so we have to fall back to `msMatchesSelector`.
-        if (currentElement.matches ? currentElement.matches(selector) :
-            currentElement.msMatchesSelector(selector)) {
-            return currentElement;
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * Injection token that can be used to reference instances of `CdkResizeHandle`. It serves as
+ * alternative token to the actual `CdkResizeHandle` class which could cause unnecessary
+ * retention of the class and its directive metadata.
+ */
+const CDK_RESIZE_HANDLE = new InjectionToken('CdkResizeHandle');
+/**
+ * Handle that can be used to resize a `CdkResizable`. Can be focused and
+ * moved using the arrow keys in order to resize with the keyboard.
+ */
+class CdkResizeHandle {
+    constructor(element, parentResizable) {
+        this.element = element;
+        /** Emits when the state of the handle has changed. */
+        this._stateChanges = new Subject();
+        this._position = 'bottom-end';
+        if (typeof ngDevMode === 'undefined' || ngDevMode) {
+            assertElementNode(element.nativeElement, 'cdkResizeHandle');
         }
-        currentElement = currentElement.parentElement;
+        this._parentResizable = parentResizable;
     }
-    return null;
+    /**
+     * Position of the handle, relative to the element that it resizes. Determines
+     * along which axes the element is resized. Defaults to `bottom-end`.
+     */
+    get position() { return this._position; }
+    set position(value) {
+        this._position = value || 'bottom-end';
+        this._stateChanges.next(this);
+    }
+    ngOnDestroy() {
+        this._stateChanges.complete();
+    }
+}
+CdkResizeHandle.decorators = [
+    { type: Directive, args: [{
+                selector: '[cdkResizeHandle]',
+                host: {
+                    'class': 'cdk-resize-handle',
+                    'tabindex': '0',
+                },
+                providers: [{ provide: CDK_RESIZE_HANDLE, useExisting: CdkResizeHandle }],
+            },] }
+];
+CdkResizeHandle.ctorParameters = () => [
+    { type: ElementRef },
+    { type: undefined, decorators: [{ type: Inject, args: [CDK_RESIZE_PARENT,] }, { type: Optional }, { type: SkipSelf }] }
+];
+CdkResizeHandle.propDecorators = {
+    position: [{ type: Input, args: ['cdkResizeHandle',] }]
+};
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * Element that can be resized by dragging one of its `cdkResizeHandle` elements. When it's
+ * placed on a header cell of a `CdkTable`, the width of the entire column changes along with it.
+ */
+class CdkResizable {
+    constructor(
+    /** Element that is being resized. */
+    element, dragDrop, _changeDetectorRef, _dir, config, parentDrag) {
+        this.element = element;
+        this._changeDetectorRef = _changeDetectorRef;
+        this._dir = _dir;
+        /** Emits when the element is destroyed. */
+        this._destroyed = new Subject();
+        /** Emits when the user starts resizing the element. */
+        this.started = new EventEmitter();
+        /** Emits as the user is resizing the element. */
+        this.resized = new EventEmitter();
+        /** Emits when the user stops resizing the element. */
+        this.ended = new EventEmitter();
+        if (typeof ngDevMode === 'undefined' || ngDevMode) {
+            assertElementNode(element.nativeElement, 'cdkResizable');
+        }
+        this._resizeRef = dragDrop.createResizable(element, {
+            dragStartThreshold: config && config.dragStartThreshold != null ?
+                config.dragStartThreshold : 5,
+            pointerDirectionChangeThreshold: config && config.pointerDirectionChangeThreshold != null ?
+                config.pointerDirectionChangeThreshold : 5,
+            // Setting the parent prevents the pointer events of the handles from
+            // starting a drag sequence on a `cdkDrag` that the element is inside of.
+            parentDragRef: parentDrag ? parentDrag._dragRef : undefined
+        });
+        this._resizeRef.data = this;
+        this._syncInputs(this._resizeRef);
+        this._handleEvents(this._resizeRef);
+    }
+    /** Whether resizing the element is disabled. */
+    get disabled() { return this._resizeRef.disabled; }
+    set disabled(value) {
+        // Resizing can be disabled before the user has interacted with the element
+        // so we need to sync the value with the ref as it's being set.
+        this._resizeRef.disabled = coerceBooleanProperty(value);
+    }
+    ngAfterViewInit() {
+        this._handles.changes.pipe(startWith(this._handles), 
+        // Re-sync the handles if any of them change their position.
+        switchMap((handles) => {
+            return merge(...handles.map(handle => handle._stateChanges)).pipe(startWith(null));
+        }), takeUntil(this._destroyed)).subscribe(() => {
+            this._resizeRef.withHandles(this._handles
+                .filter(handle => handle._parentResizable === this)
+                .map(handle => ({ element: handle.element, position: handle.position })));
+        });
+    }
+    ngOnDestroy() {
+        this._destroyed.next();
+        this._destroyed.complete();
+        this._resizeRef.dispose();
+    }
+    /** Syncs the inputs of the CdkResizable with the options of the underlying ResizeRef. */
+    _syncInputs(ref) {
+        if (this._dir) {
+            this._dir.change
+                .pipe(startWith(this._dir.value), takeUntil(this._destroyed))
+                .subscribe(value => ref.withDirection(value));
+        }
+        ref.beforeStarted.subscribe(() => {
+            ref.minWidth = coerceNumberProperty(this.minWidth, 0);
+            ref.maxWidth = coerceNumberProperty(this.maxWidth, Infinity);
+            ref.minHeight = coerceNumberProperty(this.minHeight, 0);
+            ref.maxHeight = coerceNumberProperty(this.maxHeight, Infinity);
+            ref.lockAspectRatio = coerceBooleanProperty(this.lockAspectRatio);
+            ref.keyboardStep = coerceNumberProperty(this.keyboardStep, 10);
+            ref.withBoundaryElement(this._getBoundaryElement());
+        });
+    }
+    /** Handles the events from the underlying ResizeRef. */
+    _handleEvents(ref) {
+        ref.started.subscribe(event => {
+            this.started.emit({ source: this, handle: this._getHandle(event.handle) });
+            // Since all of these events run outside of change detection,
+            // we need to ensure that everything is marked correctly.
+            this._changeDetectorRef.markForCheck();
+        });
+        ref.resized.subscribe(event => {
+            this.resized.emit({
+                source: this,
+                handle: this._getHandle(event.handle),
+                width: event.width,
+                height: event.height
+            });
+            this._changeDetectorRef.markForCheck();
+        });
+        ref.ended.subscribe(event => {
+            this.ended.emit({
+                source: this,
+                handle: this._getHandle(event.handle),
+                width: event.width,
+                height: event.height
+            });
+            this._changeDetectorRef.markForCheck();
+        });
+    }
+    /** Gets the handle directive that corresponds to an element. */
+    _getHandle(element) {
+        return this._handles.find(handle => handle.element.nativeElement === element);
+    }
+    /** Gets the boundary element, based on the `boundaryElement` value. */
+    _getBoundaryElement() {
+        const boundary = this.boundaryElement;
+        if (!boundary) {
+            return null;
+        }
+        if (typeof boundary === 'string') {
+            return getClosestMatchingAncestor(this.element.nativeElement, boundary);
+        }
+        const element = coerceElement(boundary);
+        if ((typeof ngDevMode === 'undefined' || ngDevMode) &&
+            !element.contains(this.element.nativeElement)) {
+            throw Error('Resizable element is not inside of the node passed into cdkResizableBoundary.');
+        }
+        return element;
+    }
+}
+CdkResizable.decorators = [
+    { type: Directive, args: [{
+                selector: '[cdkResizable]',
+                exportAs: 'cdkResizable',
+                host: {
+                    'class': 'cdk-resizable',
+                    '[class.cdk-resizable-disabled]': 'disabled',
+                    '[class.cdk-resizable-resizing]': '_resizeRef.isResizing()',
+                },
+                providers: [
+                    { provide: CDK_RESIZE_PARENT, useExisting: CdkResizable },
+                    { provide: CDK_TABLE_RESIZABLE, useExisting: CdkResizable },
+                ]
+            },] }
+];
+CdkResizable.ctorParameters = () => [
+    { type: ElementRef },
+    { type: DragDrop },
+    { type: ChangeDetectorRef },
+    { type: Directionality, decorators: [{ type: Optional }] },
+    { type: undefined, decorators: [{ type: Optional }, { type: Inject, args: [CDK_DRAG_CONFIG,] }] },
+    { type: undefined, decorators: [{ type: Optional }, { type: SkipSelf }, { type: Inject, args: [CDK_DRAG_PARENT,] }] }
+];
+CdkResizable.propDecorators = {
+    _handles: [{ type: ContentChildren, args: [CDK_RESIZE_HANDLE, { descendants: true },] }],
+    data: [{ type: Input, args: ['cdkResizableData',] }],
+    minWidth: [{ type: Input, args: ['cdkResizableMinWidth',] }],
+    maxWidth: [{ type: Input, args: ['cdkResizableMaxWidth',] }],
+    minHeight: [{ type: Input, args: ['cdkResizableMinHeight',] }],
+    maxHeight: [{ type: Input, args: ['cdkResizableMaxHeight',] }],
+    lockAspectRatio: [{ type: Input, args: ['cdkResizableLockAspectRatio',] }],
+    boundaryElement: [{ type: Input, args: ['cdkResizableBoundary',] }],
+    keyboardStep: [{ type: Input, args: ['cdkResizableKeyboardStep',] }],
+    disabled: [{ type: Input, args: ['cdkResizableDisabled',] }],
+    started: [{ type: Output, args: ['cdkResizableStarted',] }],
+    resized: [{ type: Output, args: ['cdkResizableResized',] }],
+    ended: [{ type: Output, args: ['cdkResizableEnded',] }]
+};
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * Adds keyboard shortcuts for undoing and redoing drag&drop operations while focus is inside
+ * the element. Ctrl+Z (Cmd+Z on Mac) undoes the last operation, whereas Ctrl+Shift+Z and Ctrl+Y
+ * redo it. The shortcuts aren't handled while the user is typing inside a text field so that
+ * they don't interfere with the native undo behavior.
+ */
+class CdkDragDropHistory {
+    constructor(_defaultHistory) {
+        this._defaultHistory = _defaultHistory;
+        this._disabled = false;
+        this._history = _defaultHistory;
+    }
+    /**
+     * History whose operations should be undone and redone.
+     * Defaults to the `DragDropHistory` that is available for injection.
+     */
+    get history() { return this._history; }
+    set history(value) {
+        this._history = value || this._defaultHistory;
+    }
+    /** Whether the keyboard shortcuts are disabled. */
+    get disabled() { return this._disabled; }
+    set disabled(value) {
+        this._disabled = coerceBooleanProperty(value);
+    }
+    /** Handles keyboard events on the host element. */
+    _handleKeydown(event) {
+        if (this.disabled || !hasModifierKey(event, 'ctrlKey', 'metaKey') ||
+            hasModifierKey(event, 'altKey') || isEditableElement(event.target)) {
+            return;
+        }
+        const keyCode = event.keyCode;
+        const hasShift = hasModifierKey(event, 'shiftKey');
+        let operation = null;
+        if ((keyCode === Z && hasShift) || (keyCode === Y && !hasShift)) {
+            operation = this._history.redo();
+        }
+        else if (keyCode === Z) {
+            operation = this._history.undo();
+        }
+        // Only prevent the default action if something happened so that
+        // the browser can handle the shortcut if there was nothing to undo.
+        if (operation) {
+            event.preventDefault();
+        }
+    }
+}
+CdkDragDropHistory.decorators = [
+    { type: Directive, args: [{
+                selector: '[cdkDragDropHistory]',
+                exportAs: 'cdkDragDropHistory',
+                host: {
+                    '(keydown)': '_handleKeydown($event)',
+                }
+            },] }
+];
+CdkDragDropHistory.ctorParameters = () => [
+    { type: DragDropHistory }
+];
+CdkDragDropHistory.propDecorators = {
+    history: [{ type: Input, args: ['cdkDragDropHistory',] }],
+    disabled: [{ type: Input, args: ['cdkDragDropHistoryDisabled',] }]
+};
+/** Whether an element handles text editing shortcuts itself. */
+function isEditableElement(element) {
+    if (!element || !element.nodeName) {
+        return false;
+    }
+    const nodeName = element.nodeName.toLowerCase();
+    return nodeName === 'input' || nodeName === 'textarea' || !!element.isContentEditable;
 }
 
 /**
@@ -3415,6 +6929,10 @@ DragDropModule.decorators = [
                     CdkDragHandle,
                     CdkDragPreview,
                     CdkDragPlaceholder,
+                    CdkDragCanvas,
+                    CdkResizable,
+                    CdkResizeHandle,
+                    CdkDragDropHistory,
                 ],
                 exports: [
                     CdkScrollableModule,
@@ -3424,6 +6942,10 @@ DragDropModule.decorators = [
                     CdkDragHandle,
                     CdkDragPreview,
                     CdkDragPlaceholder,
+                    CdkDragCanvas,
+                    CdkResizable,
+                    CdkResizeHandle,
+                    CdkDragDropHistory,
                 ],
                 providers: [
                     DragDrop,
@@ -3443,5 +6965,5 @@ DragDropModule.decorators = [
  * Generated bundle index. Do not edit.
  */
 
-export { CDK_DRAG_CONFIG, CDK_DRAG_HANDLE, CDK_DRAG_PARENT, CDK_DRAG_PLACEHOLDER, CDK_DRAG_PREVIEW, CDK_DROP_LIST, CDK_DROP_LIST_GROUP, CdkDrag, CdkDragHandle, CdkDragPlaceholder, CdkDragPreview, CdkDropList, CdkDropListGroup, DragDrop, DragDropModule, DragDropRegistry, DragRef, DropListRef, copyArrayItem, moveItemInArray, transferArrayItem };
+export { CDK_DRAG_CANVAS, CDK_DRAG_CONFIG, CDK_DRAG_HANDLE, CDK_DRAG_PARENT, CDK_DRAG_PLACEHOLDER, CDK_DRAG_PREVIEW, CDK_DROP_LIST, CDK_DROP_LIST_GROUP, CDK_RESIZE_HANDLE, CDK_RESIZE_PARENT, CdkDrag, CdkDragCanvas, CdkDragDropHistory, CdkDragHandle, CdkDragKeyboardIntl, CdkDragPlaceholder, CdkDragPreview, CdkDropList, CdkDropListGroup, CdkResizable, CdkResizeHandle, DragCanvasRef, DragDrop, DragDropHistory, DragDropModule, DragDropRegistry, DragRef, DropListRef, ResizeRef, copyArrayItem, copyArrayItems, moveItemInArray, moveItemsInArray, transferArrayItem, transferArrayItems, ɵ0$1 as ɵ0 };
 //# sourceMappingURL=drag-drop.js.map
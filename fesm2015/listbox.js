@@ -0,0 +1,552 @@
+import { ActiveDescendantKeyManager } from '@angular/cdk/a11y';
+import { Directionality } from '@angular/cdk/bidi';
+import { coerceBooleanProperty } from '@angular/cdk/coercion';
+import { SelectionModel } from '@angular/cdk/collections';
+import { END, hasModifierKey, HOME, RIGHT_ARROW, LEFT_ARROW, DOWN_ARROW, UP_ARROW, TAB, ESCAPE, A, ENTER, SPACE } from '@angular/cdk/keycodes';
+import { InjectionToken, Directive, ElementRef, Inject, forwardRef, Input, EventEmitter, Optional, Output, ContentChildren, NgModule } from '@angular/core';
+import { Subject } from 'rxjs';
+import { takeUntil } from 'rxjs/operators';
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * Injection token that can be used by a popup panel, like `CdkComboboxPanel`, to provide itself
+ * to a listbox that is rendered inside of it. Used to avoid a dependency from the listbox on the
+ * packages that can host it.
+ */
+const CDK_LISTBOX_PANEL = new InjectionToken('CDK_LISTBOX_PANEL');
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/** Counter used to create unique IDs for listboxes and options. */
+let nextId = 0;
+/** A selectable option in a listbox. */
+class CdkOption {
+    constructor(_elementRef, 
+    /** Listbox that the option belongs to. */
+    listbox) {
+        this._elementRef = _elementRef;
+        this.listbox = listbox;
+        /** Unique ID of the option. */
+        this.id = `cdk-option-${nextId++}`;
+        /**
+         * The text used to locate this item during listbox typeahead. If not specified,
+         * the `textContent` of the option will be used.
+         */
+        this.typeaheadLabel = null;
+        this._disabled = false;
+        /**
+         * Whether the option is the active descendant of the listbox.
+         * @docs-private
+         */
+        this._active = false;
+    }
+    /** Whether the option is disabled. */
+    get disabled() { return this._disabled; }
+    set disabled(value) {
+        this._disabled = coerceBooleanProperty(value);
+    }
+    /** Whether the option is selected. */
+    isSelected() {
+        return this.listbox.isValueSelected(this.value);
+    }
+    /** Whether the option is the active descendant of the listbox. */
+    isActive() {
+        return this._active;
+    }
+    /** Selects the option. */
+    select() {
+        this.listbox.select(this.value);
+    }
+    /** Deselects the option. */
+    deselect() {
+        this.listbox.deselect(this.value);
+    }
+    /** Toggles the selected state of the option. */
+    toggle() {
+        this.listbox.toggle(this.value);
+    }
+    /** Gets the label that is used for typeahead, as required by `ListKeyManagerOption`. */
+    getLabel() {
+        if (this.typeaheadLabel) {
+            return this.typeaheadLabel;
+        }
+        const textContent = this._elementRef.nativeElement.textContent;
+        return textContent ? textContent.trim() : '';
+    }
+    /** Marks the option as the active descendant of the listbox. */
+    setActiveStyles() {
+        this._active = true;
+    }
+    /** Marks the option as no longer being the active descendant of the listbox. */
+    setInactiveStyles() {
+        this._active = false;
+    }
+    /**
+     * Whether the user shouldn't be able to interact with the option.
+     * @docs-private
+     */
+    _isInteractionDisabled() {
+        return this.listbox.disabled || this.disabled;
+    }
+    /** Handles clicks on the option. */
+    _handleClick() {
+        if (!this._isInteractionDisabled()) {
+            this.listbox._setActiveOption(this);
+            this.listbox._selectOptionFromUser(this);
+        }
+    }
+}
+CdkOption.decorators = [
+    { type: Directive, args: [{
+                selector: '[cdkOption]',
+                exportAs: 'cdkOption',
+                host: {
+                    'role': 'option',
+                    'class': 'cdk-option',
+                    '[id]': 'id',
+                    '[attr.aria-selected]': 'isSelected()',
+                    '[attr.aria-disabled]': '_isInteractionDisabled()',
+                    '[class.cdk-option-active]': '_active',
+                    '[class.cdk-option-selected]': 'isSelected()',
+                    '[class.cdk-option-disabled]': '_isInteractionDisabled()',
+                    '(click)': '_handleClick()',
+                },
+            },] }
+];
+CdkOption.ctorParameters = () => [
+    { type: ElementRef },
+    { type: CdkListbox, decorators: [{ type: Inject, args: [forwardRef(() => CdkListbox),] }] }
+];
+CdkOption.propDecorators = {
+    id: [{ type: Input }],
+    value: [{ type: Input, args: ['cdkOption',] }],
+    typeaheadLabel: [{ type: Input, args: ['cdkOptionTypeaheadLabel',] }],
+    disabled: [{ type: Input, args: ['cdkOptionDisabled',] }]
+};
+/**
+ * A listbox which allows the user to select one or more options. The listbox is focused as a
+ * whole and indicates the active option through `aria-activedescendant`. The selected values
+ * are kept in a `SelectionModel` and can be bound through Angular forms by importing the
+ * `CdkListboxFormsModule` from `@angular/cdk/listbox/forms`.
+ */
+class CdkListbox {
+    constructor(_elementRef, _dir, _injectedComboboxPanel) {
+        this._elementRef = _elementRef;
+        this._dir = _dir;
+        this._injectedComboboxPanel = _injectedComboboxPanel;
+        /** Unique ID of the listbox. */
+        this.id = `cdk-listbox-${nextId++}`;
+        this._multiple = false;
+        this._disabled = false;
+        /** Orientation of the listbox's options. */
+        this.orientation = 'vertical';
+        /** Function used to compare an option's value with the selected values. */
+        this.compareWith = (a1, a2) => a1 === a2;
+        /**
+         * Combobox panel that the listbox is rendered in. Only has to be set if the panel
+         * can't be injected, e.g. when the app is using View Engine.
+         */
+        this.comboboxPanel = null;
+        /** Emits when the user changes the selected values of the listbox. */
+        this.valueChange = new EventEmitter();
+        /**
+         * Keeps track of the values that are selected in the listbox. The model always allows multiple
+         * values since the inputs can be set in any order. Single selection is enforced by the listbox.
+         */
+        this._selectionModel = new SelectionModel(true);
+        /** Emits when the listbox is destroyed. */
+        this._destroyed = new Subject();
+        /** Callback that is invoked when the value of the listbox changes. */
+        this._onChange = () => { };
+        /**
+         * Callback that is invoked when the listbox is blurred.
+         * @docs-private
+         */
+        this._onTouched = () => { };
+    }
+    /** Values that are selected in the listbox. */
+    get value() { return this._selectionModel.selected; }
+    set value(value) {
+        this._setSelection(value);
+    }
+    /** Whether the listbox allows multiple options to be selected. */
+    get multiple() { return this._multiple; }
+    set multiple(value) {
+        this._multiple = coerceBooleanProperty(value);
+        // Only keep the first value when switching to single selection after initialization.
+        // Before that the value may have been set before the `multiple` input.
+        if (!this._multiple && this._listKeyManager) {
+            this._selectionModel.deselect(...this._selectionModel.selected.slice(1));
+        }
+    }
+    /** Whether the listbox is disabled. */
+    get disabled() { return this._disabled; }
+    set disabled(value) {
+        this._disabled = coerceBooleanProperty(value);
+    }
+    ngAfterContentInit() {
+        if ((typeof ngDevMode === 'undefined' || ngDevMode) &&
+            !this.multiple && this.value.length > 1) {
+            throwMultipleValuesError();
+        }
+        this._listKeyManager = new ActiveDescendantKeyManager(this.options)
+            .withWrap()
+            .withTypeAhead()
+            .withHomeAndEnd();
+        if (this.orientation === 'horizontal') {
+            this._listKeyManager
+                .withVerticalOrientation(false)
+                .withHorizontalOrientation(this._dir ? this._dir.value : 'ltr');
+        }
+        this._listKeyManager.change
+            .pipe(takeUntil(this._destroyed))
+            .subscribe(() => this._scrollActiveOptionIntoView());
+        const panel = this._getComboboxPanel();
+        if (panel) {
+            panel._registerContent(this._elementRef.nativeElement, this.id, 'listbox');
+        }
+    }
+    ngOnDestroy() {
+        const panel = this._getComboboxPanel();
+        if (panel) {
+            panel._unregisterContent(this._elementRef.nativeElement);
+        }
+        this._destroyed.next();
+        this._destroyed.complete();
+    }
+    /** Whether a value is selected in the listbox. */
+    isValueSelected(value) {
+        return this._getSelectedValue(value) !== undefined;
+    }
+    /** Selects a value. Replaces the current value if the listbox only allows one selection. */
+    select(value) {
+        if (!this.isValueSelected(value)) {
+            if (!this.multiple) {
+                this._selectionModel.clear();
+            }
+            this._selectionModel.select(value);
+        }
+    }
+    /** Deselects a value. */
+    deselect(value) {
+        const selectedValue = this._getSelectedValue(value);
+        if (selectedValue !== undefined) {
+            this._selectionModel.deselect(selectedValue);
+        }
+    }
+    /** Toggles the selected state of a value. */
+    toggle(value) {
+        this.isValueSelected(value) ? this.deselect(value) : this.select(value);
+    }
+    /** Selects all of the options that aren't disabled. Only works if `multiple` is enabled. */
+    selectAll() {
+        if (this.multiple) {
+            this.options.forEach(option => {
+                if (!option.disabled) {
+                    this.select(option.value);
+                }
+            });
+        }
+    }
+    /** Deselects all of the options that aren't disabled. */
+    deselectAll() {
+        this.options.forEach(option => {
+            if (!option.disabled) {
+                this.deselect(option.value);
+            }
+        });
+    }
+    /** Moves focus to the listbox. */
+    focus() {
+        this._elementRef.nativeElement.focus();
+    }
+    /**
+     * Sets the value of the listbox from a form control.
+     * @docs-private
+     */
+    writeValue(value) {
+        this._setSelection(value);
+    }
+    /**
+     * Registers a callback that is invoked when the value of the listbox changes.
+     * @docs-private
+     */
+    registerOnChange(fn) {
+        this._onChange = fn;
+    }
+    /**
+     * Registers a callback that is invoked when the listbox is blurred.
+     * @docs-private
+     */
+    registerOnTouched(fn) {
+        this._onTouched = fn;
+    }
+    /**
+     * Disables the listbox from a form control.
+     * @docs-private
+     */
+    setDisabledState(isDisabled) {
+        this.disabled = isDisabled;
+    }
+    /** Gets the tabindex of the listbox. */
+    _getTabIndex() {
+        return this.disabled ? null : 0;
+    }
+    /** Gets the ID of the active option, if any. */
+    _getAriaActiveDescendant() {
+        const activeOption = this._listKeyManager && this._listKeyManager.activeItem;
+        return activeOption ? activeOption.id : null;
+    }
+    /**
+     * Makes an option the active descendant of the listbox.
+     * @docs-private
+     */
+    _setActiveOption(option) {
+        this._listKeyManager.setActiveItem(option);
+    }
+    /**
+     * Activates the first selected option, or the first option, when the listbox receives focus.
+     * @docs-private
+     */
+    _handleFocus() {
+        const keyManager = this._listKeyManager;
+        if (keyManager && !keyManager.activeItem) {
+            const selectedOption = this.options.find(option => option.isSelected() && !option.disabled);
+            selectedOption ? keyManager.setActiveItem(selectedOption) : keyManager.setFirstItemActive();
+        }
+    }
+    /** Handles keyboard events on the listbox. */
+    _handleKeydown(event) {
+        const keyManager = this._listKeyManager;
+        if (this.disabled || !keyManager) {
+            return;
+        }
+        const keyCode = event.keyCode;
+        const panel = this._getComboboxPanel();
+        switch (keyCode) {
+            case SPACE:
+            case ENTER:
+                if (!hasModifierKey(event) && keyManager.activeItem) {
+                    event.preventDefault();
+                    this._selectOptionFromUser(keyManager.activeItem);
+                }
+                break;
+            case A:
+                if (this.multiple && hasModifierKey(event, 'ctrlKey', 'metaKey') &&
+                    !hasModifierKey(event, 'altKey', 'shiftKey')) {
+                    event.preventDefault();
+                    const enabledOptions = this.options.filter(option => !option.disabled);
+                    const allSelected = enabledOptions.every(option => option.isSelected());
+                    allSelected ? this.deselectAll() : this.selectAll();
+                    this._emitValueChange(null);
+                }
+                else {
+                    keyManager.onKeydown(event);
+                }
+                break;
+            case ESCAPE:
+            case TAB:
+                // Let the combobox know that the user wants to leave the popup.
+                if (panel && !hasModifierKey(event)) {
+                    if (keyCode === ESCAPE) {
+                        event.preventDefault();
+                    }
+                    panel.closePanel();
+                }
+                break;
+            case UP_ARROW:
+            case DOWN_ARROW:
+            case LEFT_ARROW:
+            case RIGHT_ARROW:
+            case HOME:
+            case END:
+                const previousActiveItem = keyManager.activeItem;
+                const isShiftSelection = this.multiple && hasModifierKey(event, 'shiftKey') &&
+                    !hasModifierKey(event, 'ctrlKey', 'metaKey', 'altKey');
+                // The key manager ignores events with modifiers, but shift + arrow should still
+                // move the active option so that it can be used to extend the selection.
+                if (isShiftSelection) {
+                    this._moveActiveOption(event);
+                }
+                else {
+                    keyManager.onKeydown(event);
+                }
+                if (isShiftSelection && keyManager.activeItem &&
+                    keyManager.activeItem !== previousActiveItem) {
+                    this._selectOptionFromUser(keyManager.activeItem, 'select');
+                }
+                break;
+            default:
+                keyManager.onKeydown(event);
+        }
+    }
+    /**
+     * Selects an option as a result of a user interaction. Options are toggled if the listbox
+     * allows multiple selections and selected otherwise.
+     * @docs-private
+     */
+    _selectOptionFromUser(option, action = 'toggle') {
+        if (option._isInteractionDisabled()) {
+            return;
+        }
+        const wasSelected = option.isSelected();
+        if (this.multiple && action === 'toggle') {
+            this.toggle(option.value);
+        }
+        else {
+            this.select(option.value);
+        }
+        if (wasSelected !== option.isSelected()) {
+            this._emitValueChange(option);
+        }
+        const panel = this._getComboboxPanel();
+        if (panel) {
+            // Single-selection listboxes are done once an option is picked,
+            // whereas multi-selection ones stay open so more options can be picked.
+            this.multiple ? panel.updateValue(this.value.slice()) : panel.closePanel(option.value);
+        }
+    }
+    /** Moves the active option when the user is pressing the shift key. */
+    _moveActiveOption(event) {
+        const keyManager = this._listKeyManager;
+        const keyCode = event.keyCode;
+        const isHorizontal = this.orientation === 'horizontal';
+        const isRtl = !!this._dir && this._dir.value === 'rtl';
+        if (keyCode === HOME || keyCode === END) {
+            keyCode === HOME ? keyManager.setFirstItemActive() : keyManager.setLastItemActive();
+        }
+        else if (isHorizontal ? (keyCode === LEFT_ARROW || keyCode === RIGHT_ARROW) :
+            (keyCode === UP_ARROW || keyCode === DOWN_ARROW)) {
+            const isNext = isHorizontal ? (keyCode === RIGHT_ARROW) !== isRtl : keyCode === DOWN_ARROW;
+            isNext ? keyManager.setNextItemActive() : keyManager.setPreviousItemActive();
+        }
+        else {
+            return;
+        }
+        event.preventDefault();
+    }
+    /** Notifies the form control and the outputs that the user changed the value. */
+    _emitValueChange(option) {
+        const value = this.value;
+        this._onChange(this.multiple ? value.slice() : (value.length ? value[0] : null));
+        this.valueChange.emit({ value, listbox: this, option });
+    }
+    /** Replaces the selected values of the listbox. */
+    _setSelection(value) {
+        const values = value == null ? [] : (Array.isArray(value) ? value : [value]);
+        if ((typeof ngDevMode === 'undefined' || ngDevMode) && this._listKeyManager &&
+            !this.multiple && values.length > 1) {
+            throwMultipleValuesError();
+        }
+        this._selectionModel.clear();
+        values.forEach(current => {
+            if (!this.isValueSelected(current)) {
+                this._selectionModel.select(current);
+            }
+        });
+    }
+    /** Gets the selected value that is equal to a particular value, according to `compareWith`. */
+    _getSelectedValue(value) {
+        const selected = this._selectionModel.selected;
+        for (let i = 0; i < selected.length; i++) {
+            if (this.compareWith(selected[i], value)) {
+                return selected[i];
+            }
+        }
+        return undefined;
+    }
+    /** Scrolls the active option into view, if it is outside of the listbox's scrollable area. */
+    _scrollActiveOptionIntoView() {
+        const activeOption = this._listKeyManager.activeItem;
+        const element = activeOption && activeOption._elementRef.nativeElement;
+        if (element && element.scrollIntoView) {
+            element.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+        }
+    }
+    /** Gets the combobox panel that the listbox is rendered in, if any. */
+    _getComboboxPanel() {
+        return this._injectedComboboxPanel || this.comboboxPanel;
+    }
+}
+CdkListbox.decorators = [
+    { type: Directive, args: [{
+                selector: '[cdkListbox]',
+                exportAs: 'cdkListbox',
+                host: {
+                    'role': 'listbox',
+                    'class': 'cdk-listbox',
+                    '[id]': 'id',
+                    '[attr.tabindex]': '_getTabIndex()',
+                    '[attr.aria-disabled]': 'disabled',
+                    '[attr.aria-multiselectable]': 'multiple',
+                    '[attr.aria-activedescendant]': '_getAriaActiveDescendant()',
+                    '[attr.aria-orientation]': 'orientation',
+                    '(focus)': '_handleFocus()',
+                    '(blur)': '_onTouched()',
+                    '(keydown)': '_handleKeydown($event)',
+                },
+            },] }
+];
+CdkListbox.ctorParameters = () => [
+    { type: ElementRef },
+    { type: Directionality, decorators: [{ type: Optional }] },
+    { type: undefined, decorators: [{ type: Optional }, { type: Inject, args: [CDK_LISTBOX_PANEL,] }] }
+];
+CdkListbox.propDecorators = {
+    id: [{ type: Input }],
+    value: [{ type: Input, args: ['cdkListboxValue',] }],
+    multiple: [{ type: Input, args: ['cdkListboxMultiple',] }],
+    disabled: [{ type: Input, args: ['cdkListboxDisabled',] }],
+    orientation: [{ type: Input, args: ['cdkListboxOrientation',] }],
+    compareWith: [{ type: Input, args: ['cdkListboxCompareWith',] }],
+    comboboxPanel: [{ type: Input, args: ['cdkComboboxPanel',] }],
+    valueChange: [{ type: Output, args: ['cdkListboxValueChange',] }],
+    options: [{ type: ContentChildren, args: [CdkOption, { descendants: true },] }]
+};
+/** Throws an error when multiple values are selected in a single-selection listbox. */
+function throwMultipleValuesError() {
+    throw Error('Listbox cannot have more than one selected value in single-selection mode.');
+}
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+const EXPORTED_DECLARATIONS = [CdkListbox, CdkOption];
+class CdkListboxModule {
+}
+CdkListboxModule.decorators = [
+    { type: NgModule, args: [{
+                exports: EXPORTED_DECLARATIONS,
+                declarations: EXPORTED_DECLARATIONS,
+            },] }
+];
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+
+/**
+ * Generated bundle index. Do not edit.
+ */
+
+export { CDK_LISTBOX_PANEL, CdkListbox, CdkListboxModule, CdkOption };
+//# sourceMappingURL=listbox.js.map
@@ -0,0 +1,64 @@
+import { CdkListbox } from '@angular/cdk/listbox';
+import { Directive, NgModule } from '@angular/core';
+import { NG_VALUE_ACCESSOR } from '@angular/forms';
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * Provider that allows the listbox to register as a ControlValueAccessor.
+ * @docs-private
+ */
+const CDK_LISTBOX_VALUE_ACCESSOR = {
+    provide: NG_VALUE_ACCESSOR,
+    useExisting: CdkListbox,
+    multi: true
+};
+/**
+ * Registers a `CdkListbox` as the value accessor of the form control on the same element. Lives
+ * in its own entry point so that the listbox can be used without bringing in `@angular/forms`.
+ */
+class CdkListboxValueAccessor {
+}
+CdkListboxValueAccessor.decorators = [
+    { type: Directive, args: [{
+                selector: '[cdkListbox][formControl], [cdkListbox][formControlName], [cdkListbox][ngModel]',
+                providers: [CDK_LISTBOX_VALUE_ACCESSOR],
+            },] }
+];
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+const EXPORTED_DECLARATIONS = [CdkListboxValueAccessor];
+class CdkListboxFormsModule {
+}
+CdkListboxFormsModule.decorators = [
+    { type: NgModule, args: [{
+                exports: EXPORTED_DECLARATIONS,
+                declarations: EXPORTED_DECLARATIONS,
+            },] }
+];
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+
+/**
+ * Generated bundle index. Do not edit.
+ */
+
+export { CDK_LISTBOX_VALUE_ACCESSOR, CdkListboxFormsModule, CdkListboxValueAccessor };
+//# sourceMappingURL=forms.js.map
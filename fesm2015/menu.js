@@ -0,0 +1,1516 @@
+import { Subject, defer, fromEvent, merge } from 'rxjs';
+import { takeUntil, startWith, mergeMap, mapTo, mergeAll, filter } from 'rxjs/operators';
+import { Directionality } from '@angular/cdk/bidi';
+import { UniqueSelectionDispatcher } from '@angular/cdk/collections';
+import { InjectionToken, Injectable, NgZone, Directive, EventEmitter, ElementRef, ViewContainerRef, Optional, Inject, Input, Output, Self, QueryList, ContentChildren, TemplateRef, NgModule } from '@angular/core';
+import { FocusKeyManager } from '@angular/cdk/a11y';
+import { hasModifierKey, DOWN_ARROW, UP_ARROW, LEFT_ARROW, RIGHT_ARROW, ENTER, SPACE, TAB, ESCAPE } from '@angular/cdk/keycodes';
+import { coerceBooleanProperty } from '@angular/cdk/coercion';
+import { OverlayConfig, Overlay, OverlayModule } from '@angular/cdk/overlay';
+import { TemplatePortal } from '@angular/cdk/portal';
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * PointerFocusTracker keeps track of the currently active item under mouse focus. It also has
+ * observables which emit when the users mouse enters and leaves a tracked element.
+ */
+class PointerFocusTracker {
+    constructor(
+    /** The list of items being tracked. */
+    _items) {
+        this._items = _items;
+        /** Emits when an element is moused into. */
+        this.entered = this._getItemPointerEntries();
+        /** Emits when an element is moused out. */
+        this.exited = this._getItemPointerExits();
+        /** Emits when this is destroyed. */
+        this._destroyed = new Subject();
+        this.entered.pipe(takeUntil(this._destroyed)).subscribe(element => {
+            this.activeElement = element;
+        });
+        this.exited.pipe(takeUntil(this._destroyed)).subscribe(() => {
+            this.previousElement = this.activeElement;
+            this.activeElement = undefined;
+        });
+    }
+    /** Stop the managers listeners. */
+    destroy() {
+        this._destroyed.next();
+        this._destroyed.complete();
+    }
+    /**
+     * Gets a stream of pointer (mouse) entries into the given items.
+     * This should typically run outside the Angular zone.
+     */
+    _getItemPointerEntries() {
+        return defer(() => this._items.changes.pipe(startWith(this._items), mergeMap((list) => list.map(element => fromEvent(element._elementRef.nativeElement, 'mouseenter').pipe(mapTo(element), takeUntil(this._items.changes)))), mergeAll()));
+    }
+    /**
+     * Gets a stream of pointer (mouse) exits out of the given items.
+     * This should typically run outside the Angular zone.
+     */
+    _getItemPointerExits() {
+        return defer(() => this._items.changes.pipe(startWith(this._items), mergeMap((list) => list.map(element => fromEvent(element._elementRef.nativeElement, 'mouseleave').pipe(mapTo(element), takeUntil(this._items.changes)))), mergeAll()));
+    }
+}
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/** Injection token used for an implementation of MenuAim. */
+const MENU_AIM = new InjectionToken('cdk-menu-aim');
+/** Capture every nth mouse move event. */
+const MOUSE_MOVE_SAMPLE_FREQUENCY = 3;
+/** The number of mouse move events to track. */
+const NUM_POINTS = 5;
+/**
+ * How long to wait before closing a sibling menu if a user stops short of the submenu they were
+ * predicted to go into.
+ */
+const CLOSE_DELAY = 300;
+/** Calculate the slope between point a and b. */
+function getSlope(a, b) {
+    return (b.y - a.y) / (b.x - a.x);
+}
+/** Calculate the y intercept for the given point and slope. */
+function getYIntercept(point, slope) {
+    return point.y - slope * point.x;
+}
+/**
+ * Whether the given mouse trajectory line defined by the slope and y intercept falls within the
+ * submenu as defined by `submenuPoints`
+ * @param submenuPoints the submenu DOMRect points.
+ * @param m the slope of the trajectory line.
+ * @param b the y intercept of the trajectory line.
+ * @return true if any point on the line falls within the submenu.
+ */
+function isWithinSubmenu(submenuPoints, m, b) {
+    const { left, right, top, bottom } = submenuPoints;
+    // Check for intersection with each edge of the submenu (left, right, top, bottom)
+    // by fixing one coordinate to that edge's coordinate (either x or y) and checking if the
+    // other coordinate is within bounds.
+    return ((m * left + b >= top && m * left + b <= bottom) ||
+        (m * right + b >= top && m * right + b <= bottom) ||
+        ((top - b) / m >= left && (top - b) / m <= right) ||
+        ((bottom - b) / m >= left && (bottom - b) / m <= right));
+}
+/**
+ * TargetMenuAim predicts if a user is moving into a submenu. It calculates the
+ * trajectory of the user's mouse movement in the current menu to determine if the
+ * mouse is moving towards an open submenu.
+ *
+ * The determination is made by calculating the slope of the users last NUM_POINTS moves where
+ * each pair of points determines if the trajectory line points into the submenu. It uses
+ * consensus approach by checking if at least NUM_POINTS / 2 pairs determine that the user is
+ * moving towards to submenu.
+ */
+class TargetMenuAim {
+    constructor(_ngZone) {
+        this._ngZone = _ngZone;
+        /** The last NUM_POINTS mouse move events. */
+        this._points = [];
+        /** The id associated with the current timeout call waiting to resolve. */
+        this._timeoutId = null;
+        /** Most recent toggle that is waiting for the user to stop moving towards the submenu. */
+        this._pendingToggle = null;
+        /** Emits when this service is destroyed. */
+        this._destroyed = new Subject();
+    }
+    ngOnDestroy() {
+        if (this._timeoutId !== null) {
+            clearTimeout(this._timeoutId);
+        }
+        this._destroyed.next();
+        this._destroyed.complete();
+    }
+    /**
+     * Set the Menu and its PointerFocusTracker.
+     * @param menu The menu that this menu aim service controls.
+     * @param pointerTracker The `PointerFocusTracker` for the given menu.
+     */
+    initialize(menu, pointerTracker) {
+        this._menu = menu;
+        this._pointerTracker = pointerTracker;
+        this._subscribeToMouseMoves();
+    }
+    /**
+     * Calls the `doToggle` callback when it is deemed that the user is not moving towards
+     * the submenu.
+     * @param doToggle the function called when the user is not moving towards the submenu.
+     */
+    toggle(doToggle) {
+        // If the menu is horizontal the sub-menus open below and there is no risk of premature
+        // closing of any sub-menus therefore we automatically resolve the callback.
+        if (!this._menu || this._menu.orientation === 'horizontal') {
+            doToggle();
+            return;
+        }
+        // If a toggle is already waiting, only replace the callback so that the
+        // most recently hovered item wins once the delay is over.
+        if (this._timeoutId !== null) {
+            this._pendingToggle = doToggle;
+        }
+        else if (this._points.length > 1 && this._isMovingToSubmenu()) {
+            this._startTimeout(doToggle);
+        }
+        else {
+            doToggle();
+        }
+    }
+    /**
+     * Start the delayed toggle handler if one isn't running already.
+     *
+     * The delayed toggle handler executes the `doToggle` callback after some period of time iff
+     * the users mouse is on an item in the current menu.
+     */
+    _startTimeout(doToggle) {
+        this._pendingToggle = doToggle;
+        // If the users mouse is moving towards a submenu we don't want to immediately resolve.
+        // Wait for some period of time before determining if the previous menu should close in
+        // cases where the user may have moved towards the submenu but stopped on a sibling menu
+        // item intentionally.
+        this._timeoutId = setTimeout(() => {
+            const pendingToggle = this._pendingToggle;
+            this._timeoutId = this._pendingToggle = null;
+            // Resolve if the user is currently moused over some element in the root menu.
+            if (pendingToggle && this._pointerTracker.activeElement) {
+                pendingToggle();
+            }
+        }, CLOSE_DELAY);
+    }
+    /** Whether the user is heading towards the open submenu. */
+    _isMovingToSubmenu() {
+        const submenuPoints = this._getSubmenuBounds();
+        if (!submenuPoints) {
+            return false;
+        }
+        let numMoving = 0;
+        const currPoint = this._points[this._points.length - 1];
+        // start from the second last point and calculate the slope between each point and the last
+        // point.
+        for (let i = this._points.length - 2; i >= 0; i--) {
+            const previous = this._points[i];
+            const slope = getSlope(currPoint, previous);
+            if (isWithinSubmenu(submenuPoints, slope, getYIntercept(currPoint, slope))) {
+                numMoving++;
+            }
+        }
+        return numMoving >= Math.floor(NUM_POINTS / 2);
+    }
+    /** Get the bounding DOMRect for the open submenu. */
+    _getSubmenuBounds() {
+        const previousElement = this._pointerTracker && this._pointerTracker.previousElement;
+        const submenu = previousElement && previousElement.getMenu();
+        return submenu ? submenu._elementRef.nativeElement.getBoundingClientRect() : undefined;
+    }
+    /** Subscribe to the root menus mouse move events and update the tracked mouse points. */
+    _subscribeToMouseMoves() {
+        this._ngZone.runOutsideAngular(() => {
+            fromEvent(this._menu._elementRef.nativeElement, 'mousemove')
+                .pipe(filter((_, index) => index % MOUSE_MOVE_SAMPLE_FREQUENCY === 0), takeUntil(this._destroyed))
+                .subscribe((event) => {
+                this._points.push({ x: event.clientX, y: event.clientY });
+                if (this._points.length > NUM_POINTS) {
+                    this._points.shift();
+                }
+            });
+        });
+    }
+}
+TargetMenuAim.decorators = [
+    { type: Injectable }
+];
+TargetMenuAim.ctorParameters = () => [
+    { type: NgZone }
+];
+/**
+ * CdkTargetMenuAim is a provider for the TargetMenuAim service. It should be added to an
+ * element with either the `cdkMenu` or `cdkMenuBar` directive and child menu items.
+ */
+class CdkTargetMenuAim {
+}
+CdkTargetMenuAim.decorators = [
+    { type: Directive, args: [{
+                selector: '[cdkTargetMenuAim]',
+                exportAs: 'cdkTargetMenuAim',
+                providers: [{ provide: MENU_AIM, useClass: TargetMenuAim }],
+            },] }
+];
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/** Injection token used to return classes implementing the Menu interface. */
+const CDK_MENU = new InjectionToken('cdk-menu');
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/** Actions that the root menu should perform once all of the open menus have been closed. */
+var FocusNext;
+(function (FocusNext) {
+    /** Move focus to the next item of the root menu and open its menu. */
+    FocusNext[FocusNext["nextItem"] = 0] = "nextItem";
+    /** Move focus to the previous item of the root menu and open its menu. */
+    FocusNext[FocusNext["previousItem"] = 1] = "previousItem";
+    /** Move focus back to the active item of the root menu. */
+    FocusNext[FocusNext["currentItem"] = 2] = "currentItem";
+})(FocusNext || (FocusNext = {}));
+/**
+ * Keeps track of the menus that are open, starting with the menu that was opened from the root
+ * menu (e.g. a menu bar) and ending with the most recently opened submenu. Closing a menu through
+ * the stack also closes all of the menus that were opened from it.
+ */
+class MenuStack {
+    constructor(
+    /**
+     * Menu from which the other menus are opened and which is always visible, e.g. a menu bar.
+     * Null if the menus were opened from a trigger that isn't inside of a menu.
+     */
+    root = null) {
+        this.root = root;
+        /** Menus that are currently open, from the first one to the most recently opened one. */
+        this._elements = [];
+        /** Emits the menus that are closed, most recently opened first. */
+        this._closed = new Subject();
+        /** Emits once the stack has been emptied. */
+        this._emptied = new Subject();
+        /** Emits the menus that are closed, most recently opened first. */
+        this.closed = this._closed;
+        /** Emits the action that the root menu should perform once the stack has been emptied. */
+        this.emptied = this._emptied;
+    }
+    /** Adds a menu that was just opened to the top of the stack. */
+    push(menu) {
+        this._elements.push(menu);
+    }
+    /**
+     * Closes a menu, along with all of the menus that were opened after it.
+     * @param lastItem Menu that should be closed.
+     * @param options Options that determine where focus goes after the menus are closed.
+     */
+    close(lastItem, options) {
+        if (this._elements.indexOf(lastItem) > -1) {
+            const focusParentTrigger = !!(options && options.focusParentTrigger);
+            let poppedElement;
+            do {
+                poppedElement = this._elements.pop();
+                this._closed.next({ item: poppedElement, focusParentTrigger });
+            } while (poppedElement !== lastItem);
+            if (this.isEmpty()) {
+                this._emptied.next(options && options.focusNextOnEmpty);
+            }
+        }
+    }
+    /**
+     * Closes all of the menus that were opened after a particular menu. Closes all of the
+     * menus in the stack if the root menu is passed in.
+     * @param lastItem Menu whose submenus should be closed.
+     * @returns Whether any menus were closed.
+     */
+    closeSubMenuOf(lastItem) {
+        if (lastItem === this.root) {
+            const hadElements = !this.isEmpty();
+            this.closeAll();
+            return hadElements;
+        }
+        let removed = false;
+        if (this._elements.indexOf(lastItem) > -1) {
+            while (this.peek() !== lastItem) {
+                this._closed.next({ item: this._elements.pop(), focusParentTrigger: false });
+                removed = true;
+            }
+        }
+        return removed;
+    }
+    /**
+     * Closes all of the menus in the stack.
+     * @param options Options that determine where focus goes after the menus are closed.
+     */
+    closeAll(options) {
+        if (!this.isEmpty()) {
+            const focusParentTrigger = !!(options && options.focusParentTrigger);
+            while (!this.isEmpty()) {
+                this._closed.next({ item: this._elements.pop(), focusParentTrigger });
+            }
+            this._emptied.next(options && options.focusNextOnEmpty);
+        }
+    }
+    /** Whether there are no open menus. */
+    isEmpty() {
+        return !this._elements.length;
+    }
+    /** Number of open menus. */
+    length() {
+        return this._elements.length;
+    }
+    /** Gets the most recently opened menu. */
+    peek() {
+        return this._elements[this._elements.length - 1];
+    }
+    /** Whether the menus in the stack are opened from a root menu with a specific orientation. */
+    hasRootWithOrientation(orientation) {
+        return !!this.root && this.root.orientation === orientation;
+    }
+    /** Completes the stack's streams. */
+    destroy() {
+        this._closed.complete();
+        this._emptied.complete();
+    }
+}
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/** Positions of a menu that is opened from a horizontal menu or a standalone trigger. */
+const DROPDOWN_POSITIONS = [
+    { originX: 'start', originY: 'bottom', overlayX: 'start', overlayY: 'top' },
+    { originX: 'start', originY: 'top', overlayX: 'start', overlayY: 'bottom' },
+    { originX: 'end', originY: 'bottom', overlayX: 'end', overlayY: 'top' },
+    { originX: 'end', originY: 'top', overlayX: 'end', overlayY: 'bottom' },
+];
+/** Positions of a menu that is opened from a vertical menu. */
+const SUBMENU_POSITIONS = [
+    { originX: 'end', originY: 'top', overlayX: 'start', overlayY: 'top' },
+    { originX: 'end', originY: 'bottom', overlayX: 'start', overlayY: 'bottom' },
+    { originX: 'start', originY: 'top', overlayX: 'end', overlayY: 'top' },
+    { originX: 'start', originY: 'bottom', overlayX: 'end', overlayY: 'bottom' },
+];
+/**
+ * A directive that opens a menu panel inside of an overlay when the host element is clicked or
+ * when the user presses the keys that open a menu according to the WAI-ARIA menu pattern. It can
+ * be placed on a `cdkMenuItem` in order to open a submenu, or on any other element in order to
+ * open a standalone menu. The menu is positioned using a `FlexibleConnectedPositionStrategy`
+ * and is closed when the user clicks outside of it.
+ */
+class CdkMenuTrigger {
+    constructor(_elementRef, _viewContainerRef, _overlay, _parentMenu, _directionality) {
+        this._elementRef = _elementRef;
+        this._viewContainerRef = _viewContainerRef;
+        this._overlay = _overlay;
+        this._parentMenu = _parentMenu;
+        this._directionality = _directionality;
+        this._menuPanel = null;
+        /**
+         * Positions in which the menu can be placed, in order of preference. Defaults to below the
+         * trigger when it is inside of a horizontal menu and to the side of the trigger when it is
+         * inside of a vertical menu.
+         */
+        this.menuPosition = null;
+        this._disabled = false;
+        /** Emits when the attached menu is requested to open. */
+        this.opened = new EventEmitter();
+        /** Emits when the attached menu is requested to close. */
+        this.closed = new EventEmitter();
+        /** A reference to the overlay which manages the triggered menu. */
+        this._overlayRef = null;
+        /** The content of the menu panel opened by this trigger. */
+        this._panelContent = null;
+        /** Stack of menus used when the trigger isn't placed inside of a menu. */
+        this._standaloneMenuStack = null;
+        /** Emits when the currently open menu is closed. */
+        this._menuClosed = new Subject();
+        /** Emits when this trigger is destroyed. */
+        this._destroyed = new Subject();
+    }
+    /** Template reference variable to the menu this trigger opens. */
+    get menuPanel() { return this._menuPanel; }
+    set menuPanel(panel) {
+        if (panel !== this._menuPanel) {
+            this.closeMenu();
+            this._menuPanel = panel;
+        }
+    }
+    /** Whether the trigger is disabled. Disabled triggers don't open their menu. */
+    get disabled() { return this._disabled; }
+    set disabled(value) {
+        this._disabled = coerceBooleanProperty(value);
+    }
+    /** Whether the attached menu is open. */
+    isMenuOpen() {
+        return !!this._overlayRef && this._overlayRef.hasAttached();
+    }
+    /** Whether the trigger has a menu that it can open. */
+    hasMenu() {
+        return !!this._menuPanel;
+    }
+    /** Gets the menu that the trigger opened, if it is open. */
+    getMenu() {
+        return this.isMenuOpen() && this._menuPanel ? this._menuPanel._menu : undefined;
+    }
+    /** Opens the attached menu if it is closed and closes it if it is open. */
+    toggle() {
+        this.isMenuOpen() ? this.closeMenu() : this.openMenu();
+    }
+    /** Opens the attached menu, closing any of the sibling menus that are open. */
+    openMenu() {
+        const panel = this._menuPanel;
+        if (this.disabled || !panel || this.isMenuOpen()) {
+            return;
+        }
+        const menuStack = this._getMenuStack();
+        if (this._parentMenu) {
+            menuStack.closeSubMenuOf(this._parentMenu);
+        }
+        if (!this._overlayRef) {
+            this._overlayRef = this._overlay.create(this._getOverlayConfig());
+        }
+        else {
+            const positionStrategy = this._overlayRef.getConfig().positionStrategy;
+            positionStrategy.withPositions(this._getOverlayPositions());
+        }
+        if (!this._panelContent || this._panelContent.templateRef !== panel._templateRef) {
+            this._panelContent = new TemplatePortal(panel._templateRef, this._viewContainerRef);
+        }
+        // The menu inside of the panel pushes itself onto the stack when it is created.
+        panel._menuStack = menuStack;
+        this._overlayRef.attach(this._panelContent);
+        this._subscribeToMenuStack(menuStack);
+        this._subscribeToOutsideClicks(menuStack);
+        this.opened.next();
+    }
+    /** Closes the attached menu, along with any of the submenus that were opened from it. */
+    closeMenu() {
+        if (this.isMenuOpen()) {
+            const menu = this.getMenu();
+            // Closing through the stack ensures that the submenus are closed as well.
+            // The stack will notify the trigger once it's done so it can detach the overlay.
+            if (menu) {
+                this._getMenuStack().close(menu);
+            }
+            this._detachOverlay();
+        }
+    }
+    ngOnDestroy() {
+        this.closeMenu();
+        if (this._overlayRef) {
+            this._overlayRef.dispose();
+            this._overlayRef = null;
+        }
+        if (this._standaloneMenuStack) {
+            this._standaloneMenuStack.destroy();
+        }
+        this._menuClosed.complete();
+        this._destroyed.next();
+        this._destroyed.complete();
+    }
+    /** Gets the ID of the menu that the trigger opened, if it is open. */
+    _getMenuId() {
+        const menu = this.getMenu();
+        return menu ? menu.id : null;
+    }
+    /** Handles keyboard events on the trigger. */
+    _handleKeydown(event) {
+        if (hasModifierKey(event)) {
+            return;
+        }
+        const keyCode = event.keyCode;
+        const isParentVertical = !!this._parentMenu && this._parentMenu.orientation === 'vertical';
+        switch (keyCode) {
+            case SPACE:
+            case ENTER:
+                event.preventDefault();
+                this.toggle();
+                this._focusMenu('first');
+                break;
+            case RIGHT_ARROW:
+            case LEFT_ARROW:
+                // Arrows pointing away from the parent menu open the submenu. The arrows pointing back
+                // towards the parent menu are handled by the parent's items since they also apply to
+                // items that don't have a submenu.
+                const isRtl = !!this._directionality && this._directionality.value === 'rtl';
+                if (isParentVertical && (keyCode === RIGHT_ARROW) !== isRtl) {
+                    event.preventDefault();
+                    this.openMenu();
+                    this._focusMenu('first');
+                }
+                break;
+            case UP_ARROW:
+            case DOWN_ARROW:
+                if (!isParentVertical) {
+                    event.preventDefault();
+                    this.openMenu();
+                    this._focusMenu(keyCode === DOWN_ARROW ? 'first' : 'last');
+                }
+                break;
+        }
+    }
+    /** Moves focus into the open menu. */
+    _focusMenu(position) {
+        const menu = this.getMenu();
+        if (menu) {
+            position === 'first' ? menu.focusFirstItem('keyboard') : menu.focusLastItem('keyboard');
+        }
+    }
+    /** Detaches the overlay containing the menu and notifies any listeners. */
+    _detachOverlay() {
+        if (this.isMenuOpen()) {
+            this._menuClosed.next();
+            this._overlayRef.detach();
+            if (this._menuPanel) {
+                this._menuPanel._menu = undefined;
+            }
+            this.closed.next();
+        }
+    }
+    /** Gets the stack that the opened menu should be pushed onto. */
+    _getMenuStack() {
+        if (this._parentMenu && this._parentMenu._menuStack) {
+            return this._parentMenu._menuStack;
+        }
+        if (!this._standaloneMenuStack) {
+            this._standaloneMenuStack = new MenuStack();
+        }
+        return this._standaloneMenuStack;
+    }
+    /** Detaches the menu once it has been closed through the menu stack. */
+    _subscribeToMenuStack(menuStack) {
+        menuStack.closed.pipe(filter(event => !!this._menuPanel && event.item === this._menuPanel._menu), takeUntil(merge(this._menuClosed, this._destroyed))).subscribe(event => {
+            this._detachOverlay();
+            if (event.focusParentTrigger) {
+                this._elementRef.nativeElement.focus();
+            }
+        });
+    }
+    /** Closes all of the open menus when the user clicks outside of them. */
+    _subscribeToOutsideClicks(menuStack) {
+        this._overlayRef.outsidePointerEvents().pipe(takeUntil(merge(this._menuClosed, this._destroyed))).subscribe(event => {
+            if (!isClickInsideMenuOverlay(event.target)) {
+                menuStack.closeAll();
+            }
+        });
+    }
+    /** Gets the positions in which the menu can be placed. */
+    _getOverlayPositions() {
+        if (this.menuPosition) {
+            return this.menuPosition;
+        }
+        return this._parentMenu && this._parentMenu.orientation === 'vertical' ?
+            SUBMENU_POSITIONS : DROPDOWN_POSITIONS;
+    }
+    /** Gets the configuration for the overlay that the menu is rendered in. */
+    _getOverlayConfig() {
+        return new OverlayConfig({
+            positionStrategy: this._overlay.position()
+                .flexibleConnectedTo(this._elementRef)
+                .withLockedPosition()
+                .withGrowAfterOpen()
+                .withPositions(this._getOverlayPositions()),
+            scrollStrategy: this._overlay.scrollStrategies.reposition(),
+            direction: this._directionality,
+        });
+    }
+}
+CdkMenuTrigger.decorators = [
+    { type: Directive, args: [{
+                selector: '[cdkMenuTriggerFor]',
+                exportAs: 'cdkMenuTriggerFor',
+                host: {
+                    'class': 'cdk-menu-trigger',
+                    'aria-haspopup': 'menu',
+                    '[attr.aria-expanded]': 'isMenuOpen()',
+                    '[attr.aria-controls]': '_getMenuId()',
+                    '(click)': 'toggle()',
+                    '(keydown)': '_handleKeydown($event)',
+                },
+            },] }
+];
+CdkMenuTrigger.ctorParameters = () => [
+    { type: ElementRef },
+    { type: ViewContainerRef },
+    { type: Overlay },
+    { type: undefined, decorators: [{ type: Optional }, { type: Inject, args: [CDK_MENU,] }] },
+    { type: Directionality, decorators: [{ type: Optional }] }
+];
+CdkMenuTrigger.propDecorators = {
+    menuPanel: [{ type: Input, args: ['cdkMenuTriggerFor',] }],
+    menuPosition: [{ type: Input, args: ['cdkMenuPosition',] }],
+    disabled: [{ type: Input, args: ['cdkMenuTriggerDisabled',] }],
+    opened: [{ type: Output, args: ['cdkMenuOpened',] }],
+    closed: [{ type: Output, args: ['cdkMenuClosed',] }]
+};
+/**
+ * Whether the target element is inside of a menu which is rendered in an overlay, or is the
+ * trigger of an open menu. Clicks on such elements are handled by the menus themselves.
+ */
+function isClickInsideMenuOverlay(target) {
+    while (target) {
+        const classList = target.classList;
+        const isOpenTrigger = !!classList && classList.contains('cdk-menu-trigger') &&
+            target.getAttribute('aria-expanded') === 'true';
+        const isOverlayMenu = !!classList && classList.contains('cdk-menu') &&
+            !classList.contains('cdk-menu-inline');
+        if (isOpenTrigger || isOverlayMenu) {
+            return true;
+        }
+        target = target.parentElement;
+    }
+    return false;
+}
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * Directive which provides the ability for an element to be focused and navigated to using the
+ * keyboard when residing in a CdkMenu, CdkMenuBar, or CdkMenuGroup. It performs user defined
+ * behavior when clicked, or opens a submenu when combined with a `cdkMenuTriggerFor`.
+ */
+class CdkMenuItem {
+    constructor(_elementRef, _ngZone, 
+    /** The menu that the item belongs to. */
+    _parentMenu, 
+    /** Reference to the provided menu aim service. */
+    _menuAim, _dir, 
+    /** Reference to the CdkMenuTrigger directive if one is added to the same element. */
+    _menuTrigger) {
+        this._elementRef = _elementRef;
+        this._ngZone = _ngZone;
+        this._parentMenu = _parentMenu;
+        this._menuAim = _menuAim;
+        this._dir = _dir;
+        this._menuTrigger = _menuTrigger;
+        this._disabled = false;
+        /**
+         * The text used to locate this item during menu typeahead. If not specified,
+         * the `textContent` of the item will be used.
+         */
+        this.typeaheadLabel = null;
+        /**
+         * If this MenuItem is a regular MenuItem, outputs when it is triggered by a keyboard or mouse
+         * event.
+         */
+        this.triggered = new EventEmitter();
+        /**
+         * The tabindex for this menu item managed internally and used for implementing roving a
+         * tab index.
+         * @docs-private
+         */
+        this._tabindex = -1;
+        /** Emits when the menu item is destroyed. */
+        this._destroyed = new Subject();
+        // Items outside of a menu have to be reachable through the keyboard on their own.
+        if (!_parentMenu) {
+            this._tabindex = 0;
+        }
+        this._setupMouseEnter();
+    }
+    /** Whether the menu item is disabled. */
+    get disabled() { return this._disabled; }
+    set disabled(value) {
+        this._disabled = coerceBooleanProperty(value);
+        // Disabled items shouldn't be able to open their submenu either.
+        if (this._menuTrigger) {
+            this._menuTrigger.disabled = this._disabled;
+        }
+    }
+    /** Place focus on the element. */
+    focus() {
+        this._elementRef.nativeElement.focus();
+    }
+    /**
+     * If the menu item is not disabled and the element does not have a menu trigger attached, emit
+     * on the cdkMenuItemTriggered emitter and close all open menus.
+     */
+    trigger() {
+        if (!this.disabled && !this.hasMenu()) {
+            this.triggered.next();
+            const menuStack = this._getMenuStack();
+            if (menuStack) {
+                menuStack.closeAll({ focusParentTrigger: true });
+            }
+        }
+    }
+    /** Whether the menu item opens a menu. */
+    hasMenu() {
+        return !!this._menuTrigger && this._menuTrigger.hasMenu();
+    }
+    /** Return true if this MenuItem has an attached menu and it is open. */
+    isMenuOpen() {
+        return !!this._menuTrigger && this._menuTrigger.isMenuOpen();
+    }
+    /**
+     * Get a reference to the rendered Menu if the Menu is open and it is visible in the DOM.
+     * @return the menu if it is open, otherwise undefined.
+     */
+    getMenu() {
+        return this._menuTrigger ? this._menuTrigger.getMenu() : undefined;
+    }
+    /** Get the CdkMenuTrigger associated with this element. */
+    getMenuTrigger() {
+        return this._menuTrigger;
+    }
+    /** Get the label for this element which is required by the FocusableOption interface. */
+    getLabel() {
+        if (this.typeaheadLabel) {
+            return this.typeaheadLabel;
+        }
+        const textContent = this._elementRef.nativeElement.textContent;
+        return textContent ? textContent.trim() : '';
+    }
+    ngOnDestroy() {
+        this._destroyed.next();
+        this._destroyed.complete();
+    }
+    /**
+     * Handles keyboard events for the menu item, specifically either triggering the user defined
+     * callback or closing the menus when moving back towards the root menu.
+     * @docs-private
+     */
+    _onKeydown(event) {
+        if (hasModifierKey(event)) {
+            return;
+        }
+        switch (event.keyCode) {
+            case SPACE:
+            case ENTER:
+                // Items with a submenu are toggled by their trigger.
+                if (!this.hasMenu()) {
+                    event.preventDefault();
+                    this.trigger();
+                }
+                break;
+            case RIGHT_ARROW:
+            case LEFT_ARROW:
+                if (this._parentMenu && this._parentMenu.orientation === 'vertical') {
+                    const isRtl = !!this._dir && this._dir.value === 'rtl';
+                    if ((event.keyCode === LEFT_ARROW) !== isRtl) {
+                        this._backArrowPressed(event);
+                    }
+                    else if (!this.hasMenu()) {
+                        // The arrow pointing away from the root menu is handled by
+                        // the trigger if the item opens a submenu.
+                        this._forwardArrowPressed(event);
+                    }
+                }
+                break;
+        }
+    }
+    /**
+     * Closes the parent menu when the user presses the arrow pointing back towards the root menu.
+     * If the menus were opened from a horizontal root menu (e.g. a menu bar), the root menu moves
+     * focus to its previous item once all of the menus are closed.
+     */
+    _backArrowPressed(event) {
+        const menuStack = this._getMenuStack();
+        // Items of a menu which isn't part of the stack (e.g. an inline menu) have nowhere to go.
+        if (menuStack && !menuStack.isEmpty() && this._parentMenu !== menuStack.root) {
+            event.preventDefault();
+            menuStack.close(this._parentMenu, {
+                focusNextOnEmpty: menuStack.hasRootWithOrientation('horizontal') ?
+                    FocusNext.previousItem : FocusNext.currentItem,
+                focusParentTrigger: true,
+            });
+        }
+    }
+    /**
+     * Closes all of the menus when the user presses the arrow pointing away from the root menu on
+     * an item without a submenu, if the root menu is horizontal. The root menu then moves focus to
+     * its next item.
+     */
+    _forwardArrowPressed(event) {
+        const menuStack = this._getMenuStack();
+        if (menuStack && !menuStack.isEmpty() && menuStack.hasRootWithOrientation('horizontal')) {
+            event.preventDefault();
+            menuStack.closeAll({ focusNextOnEmpty: FocusNext.nextItem });
+        }
+    }
+    /**
+     * Subscribe to the mouseenter events and close any sibling menu items if this element is moused
+     * into. If the item opens a submenu, the submenu is opened instead.
+     */
+    _setupMouseEnter() {
+        if (!this._parentMenu) {
+            return;
+        }
+        const toggleMenus = () => this._ngZone.run(() => {
+            if (this.hasMenu()) {
+                this._menuTrigger.openMenu();
+            }
+            else {
+                const menuStack = this._getMenuStack();
+                if (menuStack) {
+                    menuStack.closeSubMenuOf(this._parentMenu);
+                }
+            }
+        });
+        this._ngZone.runOutsideAngular(() => {
+            fromEvent(this._elementRef.nativeElement, 'mouseenter')
+                .pipe(takeUntil(this._destroyed))
+                .subscribe(() => {
+                const menuStack = this._getMenuStack();
+                // Menus are only opened on hover if the user has already opened one,
+                // for example by clicking on one of the items of a menu bar.
+                if (!this.disabled && menuStack && !menuStack.isEmpty() && !this.isMenuOpen()) {
+                    this._menuAim ? this._menuAim.toggle(toggleMenus) : toggleMenus();
+                }
+            });
+        });
+    }
+    /** Gets the stack of menus that the item's parent menu belongs to. */
+    _getMenuStack() {
+        return this._parentMenu ? this._parentMenu._menuStack : null;
+    }
+}
+CdkMenuItem.decorators = [
+    { type: Directive, args: [{
+                selector: '[cdkMenuItem]',
+                exportAs: 'cdkMenuItem',
+                host: {
+                    'type': 'button',
+                    'role': 'menuitem',
+                    'class': 'cdk-menu-item',
+                    '[tabindex]': '_tabindex',
+                    '[attr.aria-disabled]': 'disabled || null',
+                    '(click)': 'trigger()',
+                    '(keydown)': '_onKeydown($event)',
+                },
+            },] }
+];
+CdkMenuItem.ctorParameters = () => [
+    { type: ElementRef },
+    { type: NgZone },
+    { type: undefined, decorators: [{ type: Optional }, { type: Inject, args: [CDK_MENU,] }] },
+    { type: undefined, decorators: [{ type: Optional }, { type: Inject, args: [MENU_AIM,] }] },
+    { type: Directionality, decorators: [{ type: Optional }] },
+    { type: CdkMenuTrigger, decorators: [{ type: Self }, { type: Optional }] }
+];
+CdkMenuItem.propDecorators = {
+    disabled: [{ type: Input, args: ['cdkMenuItemDisabled',] }],
+    typeaheadLabel: [{ type: Input, args: ['cdkMenuItemTypeaheadLabel',] }],
+    triggered: [{ type: Output, args: ['cdkMenuItemTriggered',] }]
+};
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/** Counter used to create unique IDs for menus. */
+let nextId = 0;
+/**
+ * Abstract directive that implements the behavior shared by `CdkMenu` and `CdkMenuBar`, such as
+ * keyboard navigation between the items and a roving tabindex.
+ */
+class CdkMenuBase {
+    constructor(_elementRef, _ngZone, _menuAim, _dir) {
+        this._elementRef = _elementRef;
+        this._ngZone = _ngZone;
+        this._menuAim = _menuAim;
+        this._dir = _dir;
+        /** Unique ID of the menu. */
+        this.id = `cdk-menu-${nextId++}`;
+        /**
+         * Stack of the open menus that the menu belongs to.
+         * @docs-private
+         */
+        this._menuStack = null;
+        /**
+         * Menu items which belong directly to the menu.
+         * @docs-private
+         */
+        this._items = new QueryList();
+        /** Emits when the menu is destroyed. */
+        this._destroyed = new Subject();
+        /** Keeps track of the item that is under the user's pointer. */
+        this._pointerTracker = null;
+        /** Item that should be focused once the items have been initialized. */
+        this._pendingFocus = null;
+    }
+    ngAfterContentInit() {
+        this._setKeyManager();
+        this._allItems.changes
+            .pipe(startWith(this._allItems), takeUntil(this._destroyed))
+            .subscribe((items) => {
+            this._items.reset(items.filter(item => item._parentMenu === this));
+            this._items.notifyOnChanges();
+            this._updateTabIndices();
+        });
+        this._subscribeToMenuStack();
+        this._setUpMenuAim();
+        if (this._pendingFocus) {
+            const { position, origin } = this._pendingFocus;
+            this._pendingFocus = null;
+            position === 'first' ? this.focusFirstItem(origin) : this.focusLastItem(origin);
+        }
+    }
+    ngOnDestroy() {
+        this._destroyed.next();
+        this._destroyed.complete();
+        if (this._pointerTracker) {
+            this._pointerTracker.destroy();
+        }
+        if (this._isRoot()) {
+            this._menuStack.closeAll();
+            this._menuStack.destroy();
+        }
+    }
+    /** Moves focus to the first item of the menu. */
+    focusFirstItem(focusOrigin = 'program') {
+        if (this._keyManager) {
+            this._keyManager.setFocusOrigin(focusOrigin);
+            this._keyManager.setFirstItemActive();
+        }
+        else {
+            this._pendingFocus = { position: 'first', origin: focusOrigin };
+        }
+    }
+    /** Moves focus to the last item of the menu. */
+    focusLastItem(focusOrigin = 'program') {
+        if (this._keyManager) {
+            this._keyManager.setFocusOrigin(focusOrigin);
+            this._keyManager.setLastItemActive();
+        }
+        else {
+            this._pendingFocus = { position: 'last', origin: focusOrigin };
+        }
+    }
+    /**
+     * Handles keyboard events for the menu.
+     * @docs-private
+     */
+    _handleKeyEvent(event) {
+        const keyManager = this._keyManager;
+        if (!keyManager) {
+            return;
+        }
+        switch (event.keyCode) {
+            case ESCAPE:
+                if (!hasModifierKey(event) && this._menuStack && !this._menuStack.isEmpty()) {
+                    event.preventDefault();
+                    if (this._isInline()) {
+                        this._menuStack.closeAll({ focusNextOnEmpty: FocusNext.currentItem });
+                    }
+                    else {
+                        this._menuStack.close(this, {
+                            focusNextOnEmpty: FocusNext.currentItem,
+                            focusParentTrigger: true,
+                        });
+                    }
+                }
+                break;
+            case TAB:
+                // Focus is moved back to the root menu before the browser handles
+                // the tab key so that focus moves to the element after it.
+                if (this._menuStack) {
+                    this._menuStack.closeAll({ focusParentTrigger: !this._isInline() });
+                }
+                break;
+            case LEFT_ARROW:
+            case RIGHT_ARROW:
+            case UP_ARROW:
+            case DOWN_ARROW:
+                this._moveFocus(event);
+                break;
+            default:
+                keyManager.setFocusOrigin('keyboard');
+                keyManager.onKeydown(event);
+        }
+    }
+    /**
+     * Keeps the key manager in sync when one of the items is focused through other means,
+     * e.g. when the user clicks on it.
+     * @docs-private
+     */
+    _handleFocusIn(event) {
+        const target = event.target;
+        const item = this._items.find(current => current._elementRef.nativeElement.contains(target));
+        if (item && this._keyManager && item !== this._keyManager.activeItem) {
+            this._keyManager.updateActiveItem(item);
+            this._updateTabIndices();
+        }
+    }
+    /** Moves focus between the items, keeping a submenu open if one was open before. */
+    _moveFocus(event) {
+        const keyManager = this._keyManager;
+        const previousItem = keyManager.activeItem;
+        const wasOpen = !!previousItem && previousItem.isMenuOpen();
+        keyManager.setFocusOrigin('keyboard');
+        keyManager.onKeydown(event);
+        const activeItem = keyManager.activeItem;
+        if (wasOpen && activeItem !== previousItem) {
+            if (this.orientation === 'horizontal' && activeItem && activeItem.hasMenu()) {
+                activeItem.getMenuTrigger().openMenu();
+            }
+            else if (this._menuStack) {
+                this._menuStack.closeSubMenuOf(this);
+            }
+        }
+    }
+    /** Sets up the key manager that handles keyboard navigation between the items. */
+    _setKeyManager() {
+        this._keyManager = new FocusKeyManager(this._items)
+            .withWrap()
+            .withTypeAhead()
+            .withHomeAndEnd();
+        if (this.orientation === 'horizontal') {
+            this._keyManager
+                .withVerticalOrientation(false)
+                .withHorizontalOrientation(this._dir ? this._dir.value : 'ltr');
+        }
+        this._keyManager.change
+            .pipe(takeUntil(this._destroyed))
+            .subscribe(() => this._updateTabIndices());
+    }
+    /**
+     * Implements a roving tabindex for inline menus, where only the active item can be reached
+     * by tabbing. Items of menus in an overlay are never tabbable.
+     */
+    _updateTabIndices() {
+        let tabbableItem;
+        if (this._isInline()) {
+            const activeItem = this._keyManager.activeItem;
+            tabbableItem = activeItem && !activeItem.disabled ?
+                activeItem : this._items.find(item => !item.disabled);
+        }
+        this._items.forEach(item => item._tabindex = item === tabbableItem ? 0 : -1);
+    }
+    /** Whether the menu is the one from which the rest of the menus in the stack are opened. */
+    _isRoot() {
+        return !!this._menuStack && this._menuStack.root === this;
+    }
+    /** Moves focus within the root menu once all of the menus in the stack have been closed. */
+    _subscribeToMenuStack() {
+        if (!this._isRoot()) {
+            return;
+        }
+        this._menuStack.emptied.pipe(takeUntil(this._destroyed)).subscribe(focusNext => {
+            const keyManager = this._keyManager;
+            if (focusNext === FocusNext.nextItem || focusNext === FocusNext.previousItem) {
+                keyManager.setFocusOrigin('keyboard');
+                focusNext === FocusNext.nextItem ?
+                    keyManager.setNextItemActive() : keyManager.setPreviousItemActive();
+                // Open the menu of the newly focused item while keeping focus on the item itself.
+                const activeItem = keyManager.activeItem;
+                if (activeItem && activeItem.hasMenu()) {
+                    activeItem.getMenuTrigger().openMenu();
+                }
+            }
+            else if (focusNext === FocusNext.currentItem && keyManager.activeItem) {
+                keyManager.setFocusOrigin('keyboard');
+                keyManager.setActiveItem(keyManager.activeItem);
+            }
+        });
+    }
+    /** Sets up the menu aim service, if one was provided, to track the user's pointer. */
+    _setUpMenuAim() {
+        if (this._menuAim) {
+            const menuAim = this._menuAim;
+            this._ngZone.runOutsideAngular(() => {
+                this._pointerTracker = new PointerFocusTracker(this._items);
+                menuAim.initialize(this, this._pointerTracker);
+            });
+        }
+    }
+}
+CdkMenuBase.decorators = [
+    { type: Directive }
+];
+CdkMenuBase.ctorParameters = () => [
+    { type: ElementRef },
+    { type: NgZone },
+    { type: undefined },
+    { type: Directionality }
+];
+CdkMenuBase.propDecorators = {
+    id: [{ type: Input }],
+    _allItems: [{ type: ContentChildren, args: [CdkMenuItem, { descendants: true },] }]
+};
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * Directive applied to an ng-template which wraps a `cdkMenu` and provides a reference to the
+ * menu that can be passed to a `cdkMenuTriggerFor`. The menu is rendered inside of an overlay
+ * when the trigger is activated.
+ */
+class CdkMenuPanel {
+    constructor(_templateRef) {
+        this._templateRef = _templateRef;
+        /** Stack of the menus that the panel's menu is pushed onto when it is opened. */
+        this._menuStack = null;
+    }
+    /**
+     * Sets the menu rendered inside of the panel and pushes it onto the menu stack.
+     * @docs-private
+     */
+    _registerMenu(menu) {
+        this._menu = menu;
+        menu._menuStack = this._menuStack;
+        if (this._menuStack) {
+            this._menuStack.push(menu);
+        }
+    }
+}
+CdkMenuPanel.decorators = [
+    { type: Directive, args: [{
+                selector: 'ng-template[cdkMenuPanel]',
+                exportAs: 'cdkMenuPanel',
+            },] }
+];
+CdkMenuPanel.ctorParameters = () => [
+    { type: TemplateRef }
+];
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * Directive which configures the element as a Menu which should contain child elements marked as
+ * CdkMenuItem or CdkMenuGroup. Sets the appropriate role and aria-attributes for a menu and
+ * contains accessible keyboard and mouse handling logic.
+ *
+ * It also acts as a RadioGroup for elements marked with role `menuitemradio`.
+ */
+class CdkMenu extends CdkMenuBase {
+    constructor(elementRef, ngZone, _injectedPanel, menuAim, dir) {
+        super(elementRef, ngZone, menuAim, dir);
+        this._injectedPanel = _injectedPanel;
+        /** Orientation of the menu's items. */
+        this.orientation = 'vertical';
+        /**
+         * Panel that the menu is rendered in. Only has to be set if the panel
+         * can't be injected, e.g. when the app is using View Engine.
+         */
+        this.menuPanel = null;
+        /** Emits when the menu is closed through a keyboard, pointer or programmatic interaction. */
+        this.closed = new EventEmitter();
+        // Register as early as possible so the trigger can move focus into the menu right after
+        // it was opened.
+        if (_injectedPanel) {
+            _injectedPanel._registerMenu(this);
+        }
+    }
+    ngOnInit() {
+        if (!this._injectedPanel && this.menuPanel) {
+            this.menuPanel._registerMenu(this);
+        }
+        if (this._isInline()) {
+            this._menuStack = new MenuStack(this);
+        }
+        else if (this._menuStack) {
+            this._menuStack.closed
+                .pipe(filter(event => event.item === this), takeUntil(this._destroyed))
+                .subscribe(() => this.closed.next());
+        }
+    }
+    /**
+     * Whether the menu is always rendered in the page, as opposed to inside of an overlay.
+     * @docs-private
+     */
+    _isInline() {
+        return !this._injectedPanel && !this.menuPanel;
+    }
+}
+CdkMenu.decorators = [
+    { type: Directive, args: [{
+                selector: '[cdkMenu]',
+                exportAs: 'cdkMenu',
+                host: {
+                    'role': 'menu',
+                    'class': 'cdk-menu',
+                    '[class.cdk-menu-inline]': '_isInline()',
+                    '[id]': 'id',
+                    '[attr.aria-orientation]': 'orientation',
+                    '(keydown)': '_handleKeyEvent($event)',
+                    '(focusin)': '_handleFocusIn($event)',
+                },
+                providers: [
+                    { provide: CDK_MENU, useExisting: CdkMenu },
+                    { provide: UniqueSelectionDispatcher, useClass: UniqueSelectionDispatcher },
+                ],
+            },] }
+];
+CdkMenu.ctorParameters = () => [
+    { type: ElementRef },
+    { type: NgZone },
+    { type: CdkMenuPanel, decorators: [{ type: Optional }] },
+    { type: undefined, decorators: [{ type: Self }, { type: Optional }, { type: Inject, args: [MENU_AIM,] }] },
+    { type: Directionality, decorators: [{ type: Optional }] }
+];
+CdkMenu.propDecorators = {
+    orientation: [{ type: Input, args: ['cdkMenuOrientation',] }],
+    menuPanel: [{ type: Input, args: ['cdkMenuPanel',] }],
+    closed: [{ type: Output, args: ['cdkMenuClosed',] }]
+};
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * Directive applied to an element which configures it as a MenuBar by setting the appropriate
+ * role, aria attributes, and accessible keyboard and mouse handling logic. The component that
+ * this directive is applied to should contain components marked with CdkMenuItem.
+ */
+class CdkMenuBar extends CdkMenuBase {
+    constructor(elementRef, ngZone, menuAim, dir) {
+        super(elementRef, ngZone, menuAim, dir);
+        /** Orientation of the menu bar's items. */
+        this.orientation = 'horizontal';
+        this._menuStack = new MenuStack(this);
+    }
+    /**
+     * Whether the menu is always rendered in the page, as opposed to inside of an overlay.
+     * @docs-private
+     */
+    _isInline() {
+        return true;
+    }
+}
+CdkMenuBar.decorators = [
+    { type: Directive, args: [{
+                selector: '[cdkMenuBar]',
+                exportAs: 'cdkMenuBar',
+                host: {
+                    'role': 'menubar',
+                    'class': 'cdk-menu-bar',
+                    '[id]': 'id',
+                    '[attr.aria-orientation]': 'orientation',
+                    '(keydown)': '_handleKeyEvent($event)',
+                    '(focusin)': '_handleFocusIn($event)',
+                },
+                providers: [
+                    { provide: CDK_MENU, useExisting: CdkMenuBar },
+                    { provide: UniqueSelectionDispatcher, useClass: UniqueSelectionDispatcher },
+                ],
+            },] }
+];
+CdkMenuBar.ctorParameters = () => [
+    { type: ElementRef },
+    { type: NgZone },
+    { type: undefined, decorators: [{ type: Self }, { type: Optional }, { type: Inject, args: [MENU_AIM,] }] },
+    { type: Directionality, decorators: [{ type: Optional }] }
+];
+CdkMenuBar.propDecorators = {
+    orientation: [{ type: Input, args: ['cdkMenuBarOrientation',] }]
+};
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * Directive which groups related menu items. Only one of the `cdkMenuItemRadio` items inside of
+ * a group can be checked at a time.
+ */
+class CdkMenuGroup {
+}
+CdkMenuGroup.decorators = [
+    { type: Directive, args: [{
+                selector: '[cdkMenuGroup]',
+                exportAs: 'cdkMenuGroup',
+                host: {
+                    'role': 'group',
+                    'class': 'cdk-menu-group',
+                },
+                providers: [{ provide: UniqueSelectionDispatcher, useClass: UniqueSelectionDispatcher }],
+            },] }
+];
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/** Base class providing checked state for selectable MenuItems. */
+class CdkMenuItemSelectable extends CdkMenuItem {
+    constructor() {
+        super(...arguments);
+        this._checked = false;
+    }
+    /** Whether the element is checked. */
+    get checked() { return this._checked; }
+    set checked(value) {
+        this._checked = coerceBooleanProperty(value);
+    }
+    /** Toggles the checked state of the item and closes the open menus. */
+    trigger() {
+        if (!this.disabled) {
+            this._toggleChecked();
+        }
+        super.trigger();
+    }
+}
+CdkMenuItemSelectable.decorators = [
+    { type: Directive }
+];
+CdkMenuItemSelectable.propDecorators = {
+    checked: [{ type: Input, args: ['cdkMenuItemChecked',] }]
+};
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * A directive providing behavior for the "menuitemcheckbox" ARIA role, which behaves similarly to
+ * a conventional checkbox.
+ */
+class CdkMenuItemCheckbox extends CdkMenuItemSelectable {
+    _toggleChecked() {
+        this.checked = !this.checked;
+    }
+}
+CdkMenuItemCheckbox.decorators = [
+    { type: Directive, args: [{
+                selector: '[cdkMenuItemCheckbox]',
+                exportAs: 'cdkMenuItemCheckbox',
+                host: {
+                    'role': 'menuitemcheckbox',
+                    'class': 'cdk-menu-item-checkbox',
+                    '[attr.aria-checked]': '!!checked',
+                },
+                providers: [{ provide: CdkMenuItem, useExisting: CdkMenuItemCheckbox }],
+            },] }
+];
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/** Counter used to set a unique id and name for a selectable item */
+let nextId$1 = 0;
+/**
+ * A directive providing behavior for the "menuitemradio" ARIA role, which behaves similarly to
+ * a conventional radio-button. Any sibling `CdkMenuItemRadio` instances within the same
+ * `CdkMenuGroup` (or menu, if the items aren't in a group) behave as a single radio-button group.
+ */
+class CdkMenuItemRadio extends CdkMenuItemSelectable {
+    constructor(_selectionDispatcher, elementRef, ngZone, parentMenu, menuAim, dir, 
+    /** Reference to the CdkMenuTrigger directive if one is added to the same element. */
+    menuTrigger) {
+        super(elementRef, ngZone, parentMenu, menuAim, dir, menuTrigger);
+        this._selectionDispatcher = _selectionDispatcher;
+        /** An ID to identify this radio item to the `UniqueSelectionDispatcher`. */
+        this._id = `cdk-menu-item-radio-${nextId$1++}`;
+        this._removeDispatcherListener = _selectionDispatcher.listen((id) => {
+            if (id !== this._id) {
+                this.checked = false;
+            }
+        });
+    }
+    ngOnDestroy() {
+        super.ngOnDestroy();
+        this._removeDispatcherListener();
+    }
+    _toggleChecked() {
+        this.checked = true;
+        this._selectionDispatcher.notify(this._id, '');
+    }
+}
+CdkMenuItemRadio.decorators = [
+    { type: Directive, args: [{
+                selector: '[cdkMenuItemRadio]',
+                exportAs: 'cdkMenuItemRadio',
+                host: {
+                    'role': 'menuitemradio',
+                    'class': 'cdk-menu-item-radio',
+                    '[attr.aria-checked]': '!!checked',
+                },
+                providers: [{ provide: CdkMenuItem, useExisting: CdkMenuItemRadio }],
+            },] }
+];
+CdkMenuItemRadio.ctorParameters = () => [
+    { type: UniqueSelectionDispatcher },
+    { type: ElementRef },
+    { type: NgZone },
+    { type: undefined, decorators: [{ type: Optional }, { type: Inject, args: [CDK_MENU,] }] },
+    { type: undefined, decorators: [{ type: Optional }, { type: Inject, args: [MENU_AIM,] }] },
+    { type: Directionality, decorators: [{ type: Optional }] },
+    { type: CdkMenuTrigger, decorators: [{ type: Self }, { type: Optional }] }
+];
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+const EXPORTED_DECLARATIONS = [
+    CdkMenuBar,
+    CdkMenu,
+    CdkMenuPanel,
+    CdkMenuItem,
+    CdkMenuItemRadio,
+    CdkMenuItemCheckbox,
+    CdkMenuTrigger,
+    CdkMenuGroup,
+    CdkTargetMenuAim,
+];
+class CdkMenuModule {
+}
+CdkMenuModule.decorators = [
+    { type: NgModule, args: [{
+                imports: [OverlayModule],
+                exports: EXPORTED_DECLARATIONS,
+                declarations: EXPORTED_DECLARATIONS,
+            },] }
+];
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+
+/**
+ * Generated bundle index. Do not edit.
+ */
+
+export { CDK_MENU, CdkMenu, CdkMenuBar, CdkMenuBase, CdkMenuGroup, CdkMenuItem, CdkMenuItemCheckbox, CdkMenuItemRadio, CdkMenuItemSelectable, CdkMenuModule, CdkMenuPanel, CdkMenuTrigger, CdkTargetMenuAim, FocusNext, MENU_AIM, MenuStack, PointerFocusTracker, TargetMenuAim };
+//# sourceMappingURL=menu.js.map
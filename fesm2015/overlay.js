@@ -437,14 +437,21 @@ class ConnectedOverlayPositionChange {
     /** The position used as a result of this change. */
     connectionPair, 
     /** @docs-private */
-    scrollableViewProperties) {
+    scrollableViewProperties, 
+    /**
+     * Placement of the overlay's arrow, if the strategy was configured to position one
+     * through `withArrowOn` and the overlay is next to one of the origin's edges.
+     */
+    arrowPosition = null) {
         this.connectionPair = connectionPair;
         this.scrollableViewProperties = scrollableViewProperties;
+        this.arrowPosition = arrowPosition;
     }
 }
 ConnectedOverlayPositionChange.ctorParameters = () => [
     { type: ConnectionPositionPair },
-    { type: ScrollingVisibility, decorators: [{ type: Optional }] }
+    { type: ScrollingVisibility, decorators: [{ type: Optional }] },
+    { type: undefined }
 ];
 /**
  * Validates whether a vertical position property matches the expected values.
@@ -1192,16 +1199,28 @@ class FlexibleConnectedPositionStrategy {
         this._viewportMargin = 0;
         /** The Scrollable containers used to check scrollable view properties on position change. */
         this._scrollables = [];
+        /** Element, in addition to the viewport, within which the overlay has to fit. */
+        this._boundary = null;
+        /** Cached boundary dimensions, narrowed down to the viewport. */
+        this._boundaryRect = null;
+        /** Elements that the overlay should avoid overlapping. */
+        this._obstacles = [];
+        /** Cached dimensions of the obstacles. */
+        this._obstacleRects = [];
         /** Ordered list of preferred positions, from most to least desirable. */
         this._preferredPositions = [];
         /** Subject that emits whenever the position changes. */
         this._positionChanges = new Subject();
         /** Subscription to viewport size changes. */
         this._resizeSubscription = Subscription.EMPTY;
+        /** Subscription to the changes of a virtual origin. */
+        this._originChangesSubscription = Subscription.EMPTY;
         /** Default offset for the overlay along the x axis. */
         this._offsetX = 0;
         /** Default offset for the overlay along the y axis. */
         this._offsetY = 0;
+        /** Minimum distance in pixels between the arrow and the corners of the overlay. */
+        this._arrowPadding = 0;
         /** Keeps track of the CSS classes that the position strategy has applied on the overlay panel. */
         this._appliedPanelClasses = [];
         /** Observable sequence of position changes. */
@@ -1268,6 +1287,8 @@ class FlexibleConnectedPositionStrategy {
         // the overlay relative to the origin.
         // We use the viewport rect to determine whether a position would go off-screen.
         this._viewportRect = this._getNarrowedViewportRect();
+        this._boundaryRect = this._getBoundaryRect();
+        this._obstacleRects = this._getObstacleRects();
         this._originRect = this._getOriginRect();
         this._overlayRect = this._pane.getBoundingClientRect();
         const originRect = this._originRect;
@@ -1374,6 +1395,7 @@ class FlexibleConnectedPositionStrategy {
             this._overlayRef.hostElement.classList.remove(boundingBoxClass);
         }
         this.detach();
+        this._originChangesSubscription.unsubscribe();
         this._positionChanges.complete();
         this._overlayRef = this._boundingBox = null;
         this._isDisposed = true;
@@ -1388,6 +1410,7 @@ class FlexibleConnectedPositionStrategy {
             this._originRect = this._getOriginRect();
             this._overlayRect = this._pane.getBoundingClientRect();
             this._viewportRect = this._getNarrowedViewportRect();
+            this._boundaryRect = this._getBoundaryRect();
             const lastPosition = this._lastPosition || this._preferredPositions[0];
             const originPoint = this._getOriginPoint(this._originRect, lastPosition);
             this._applyPosition(lastPosition, originPoint);
@@ -1416,6 +1439,27 @@ class FlexibleConnectedPositionStrategy {
         this._validatePositions();
         return this;
     }
+    /**
+     * Sets an element, such as a scrolling panel or a dashboard tile, within which the overlay has
+     * to fit in addition to the viewport. The boundary is taken into account when picking one of
+     * the preferred positions and when pushing the overlay, however flexible dimensions are still
+     * only constrained by the viewport.
+     * @param boundary Element that the overlay has to fit within, or null to only use the viewport.
+     */
+    withBoundary(boundary) {
+        this._boundary = boundary;
+        return this;
+    }
+    /**
+     * Sets elements that the overlay should avoid overlapping, such as other overlays. Preferred
+     * positions in which the overlay would cover one of them are treated as not fitting, and the
+     * fallback position that covers them the least is favored.
+     * @param obstacles Elements or overlays that the overlay should avoid overlapping.
+     */
+    withObstacles(obstacles) {
+        this._obstacles = obstacles;
+        return this;
+    }
     /**
      * Sets a minimum distance the overlay may be positioned to the edge of the viewport.
      * @param margin Required margin between the overlay and the viewport edge in pixels.
@@ -1453,11 +1497,25 @@ class FlexibleConnectedPositionStrategy {
      * Sets the origin, relative to which to position the overlay.
      * Using an element origin is useful for building components that need to be positioned
      * relatively to a trigger (e.g. dropdown menus or tooltips), whereas using a point can be
-     * used for cases like contextual menus which open relative to the user's pointer.
+     * used for cases like contextual menus which open relative to the user's pointer. A virtual
+     * origin supplies its dimensions on demand and can notify the strategy when it has moved.
      * @param origin Reference to the new origin.
      */
     setOrigin(origin) {
+        // Avoid resubscribing to the changes of an origin that is set again, e.g. by a directive
+        // that updates the strategy whenever any of its inputs change.
+        if (origin === this._origin) {
+            return this;
+        }
         this._origin = origin;
+        this._originChangesSubscription.unsubscribe();
+        if (isVirtualOrigin(origin) && origin.changes) {
+            this._originChangesSubscription = origin.changes.subscribe(() => {
+                if (this._overlayRef && this._overlayRef.hasAttached()) {
+                    this.apply();
+                }
+            });
+        }
         return this;
     }
     /**
@@ -1488,6 +1546,19 @@ class FlexibleConnectedPositionStrategy {
         this._transformOriginSelector = selector;
         return this;
     }
+    /**
+     * Configures that the position strategy should position an arrow element inside the overlay,
+     * such that it points towards the center of the origin. The arrow is kept within the edges of
+     * the overlay, even if the overlay was pushed on-screen or its size was constrained. The
+     * applied placement is exposed through the `arrowPosition` of the position changes.
+     * @param selector CSS selector that will be used to find the arrow element inside the overlay.
+     * @param padding Minimum distance in pixels between the arrow and the corners of the overlay.
+     */
+    withArrowOn(selector, padding = 0) {
+        this._arrowSelector = selector;
+        this._arrowPadding = padding;
+        return this;
+    }
     /**
      * Gets the (x, y) coordinate of a connection point on the origin based on a relative position.
      */
@@ -1562,15 +1633,25 @@ class FlexibleConnectedPositionStrategy {
         let rightOverflow = (x + overlay.width) - viewport.width;
         let topOverflow = 0 - y;
         let bottomOverflow = (y + overlay.height) - viewport.height;
+        if (this._boundaryRect) {
+            const boundary = this._boundaryRect;
+            leftOverflow = boundary.left - x;
+            rightOverflow = (x + overlay.width) - boundary.right;
+            topOverflow = boundary.top - y;
+            bottomOverflow = (y + overlay.height) - boundary.bottom;
+        }
         // Visible parts of the element on each axis.
         let visibleWidth = this._subtractOverflows(overlay.width, leftOverflow, rightOverflow);
         let visibleHeight = this._subtractOverflows(overlay.height, topOverflow, bottomOverflow);
-        let visibleArea = visibleWidth * visibleHeight;
+        // Parts of the overlay that cover one of the obstacles count as not being visible.
+        let obstructedArea = this._getObstructedArea(x, y, overlay);
+        let visibleArea = Math.max(visibleWidth * visibleHeight - obstructedArea, 0);
         return {
             visibleArea,
             isCompletelyWithinViewport: (overlay.width * overlay.height) === visibleArea,
             fitsInViewportVertically: visibleHeight === overlay.height,
             fitsInViewportHorizontally: visibleWidth == overlay.width,
+            isObstructed: obstructedArea > 0,
         };
     }
     /**
@@ -1580,9 +1661,11 @@ class FlexibleConnectedPositionStrategy {
      * @param viewport The geometry of the viewport.
      */
     _canFitWithFlexibleDimensions(fit, point, viewport) {
-        if (this._hasFlexibleDimensions) {
-            const availableHeight = viewport.bottom - point.y;
-            const availableWidth = viewport.right - point.x;
+        // Resizing the overlay won't prevent it from covering an obstacle.
+        if (this._hasFlexibleDimensions && !fit.isObstructed) {
+            const bounds = this._boundaryRect || viewport;
+            const availableHeight = bounds.bottom - point.y;
+            const availableWidth = bounds.right - point.x;
             const minHeight = getPixelValue(this._overlayRef.getConfig().minHeight);
             const minWidth = getPixelValue(this._overlayRef.getConfig().minWidth);
             const verticalFit = fit.fitsInViewportVertically ||
@@ -1618,29 +1701,37 @@ class FlexibleConnectedPositionStrategy {
         // viewport, because the viewport is always rounded.
         const overlay = getRoundedBoundingClientRect(rawOverlayRect);
         const viewport = this._viewportRect;
-        // Determine how much the overlay goes outside the viewport on each
-        // side, which we'll use to decide which direction to push it.
-        const overflowRight = Math.max(start.x + overlay.width - viewport.width, 0);
-        const overflowBottom = Math.max(start.y + overlay.height - viewport.height, 0);
-        const overflowTop = Math.max(viewport.top - scrollPosition.top - start.y, 0);
-        const overflowLeft = Math.max(viewport.left - scrollPosition.left - start.x, 0);
+        const boundary = this._boundaryRect;
         // Amount by which to push the overlay in each axis such that it remains on-screen.
         let pushX = 0;
         let pushY = 0;
-        // If the overlay fits completely within the bounds of the viewport, push it from whichever
-        // direction is goes off-screen. Otherwise, push the top-left corner such that its in the
-        // viewport and allow for the trailing end of the overlay to go out of bounds.
-        if (overlay.width <= viewport.width) {
-            pushX = overflowLeft || -overflowRight;
+        if (boundary) {
+            pushX = getPushAmount(start.x, overlay.width, boundary.left, boundary.right);
+            pushY = getPushAmount(start.y, overlay.height, boundary.top, boundary.bottom);
         }
         else {
-            pushX = start.x < this._viewportMargin ? (viewport.left - scrollPosition.left) - start.x : 0;
-        }
-        if (overlay.height <= viewport.height) {
-            pushY = overflowTop || -overflowBottom;
-        }
-        else {
-            pushY = start.y < this._viewportMargin ? (viewport.top - scrollPosition.top) - start.y : 0;
+            // Determine how much the overlay goes outside the viewport on each
+            // side, which we'll use to decide which direction to push it.
+            const overflowRight = Math.max(start.x + overlay.width - viewport.width, 0);
+            const overflowBottom = Math.max(start.y + overlay.height - viewport.height, 0);
+            const overflowTop = Math.max(viewport.top - scrollPosition.top - start.y, 0);
+            const overflowLeft = Math.max(viewport.left - scrollPosition.left - start.x, 0);
+            // If the overlay fits completely within the bounds of the viewport, push it from whichever
+            // direction is goes off-screen. Otherwise, push the top-left corner such that its in the
+            // viewport and allow for the trailing end of the overlay to go out of bounds.
+            if (overlay.width <= viewport.width) {
+                pushX = overflowLeft || -overflowRight;
+            }
+            else {
+                pushX = start.x < this._viewportMargin ?
+                    (viewport.left - scrollPosition.left) - start.x : 0;
+            }
+            if (overlay.height <= viewport.height) {
+                pushY = overflowTop || -overflowBottom;
+            }
+            else {
+                pushY = start.y < this._viewportMargin ? (viewport.top - scrollPosition.top) - start.y : 0;
+            }
         }
         this._previousPushAmount = { x: pushX, y: pushY };
         return {
@@ -1657,6 +1748,7 @@ class FlexibleConnectedPositionStrategy {
         this._setTransformOrigin(position);
         this._setOverlayElementStyles(originPoint, position);
         this._setBoundingBoxStyles(originPoint, position);
+        const arrowPosition = this._setArrowStyles(position);
         if (position.panelClass) {
             this._addPanelClasses(position.panelClass);
         }
@@ -1667,7 +1759,7 @@ class FlexibleConnectedPositionStrategy {
         // calculcations can be somewhat expensive.
         if (this._positionChanges.observers.length) {
             const scrollableViewProperties = this._getScrollVisibility();
-            const changeEvent = new ConnectedOverlayPositionChange(position, scrollableViewProperties);
+            const changeEvent = new ConnectedOverlayPositionChange(position, scrollableViewProperties, arrowPosition);
             this._positionChanges.next(changeEvent);
         }
         this._isInitialRender = false;
@@ -1693,6 +1785,68 @@ class FlexibleConnectedPositionStrategy {
             elements[i].style.transformOrigin = `${xOrigin} ${yOrigin}`;
         }
     }
+    /**
+     * Positions the arrow inside the overlay, based on the configured selector, such that it points
+     * towards the center of the origin while staying within the edges of the overlay.
+     * @returns The applied placement or null if there is no arrow or if the overlay isn't
+     *    next to one of the origin's edges.
+     */
+    _setArrowStyles(position) {
+        const arrow = this._arrowSelector ? this._pane.querySelector(this._arrowSelector) : null;
+        if (!arrow) {
+            return null;
+        }
+        const side = this._getArrowSide(position);
+        extendStyles(arrow.style, { left: '', top: '' });
+        if (!side) {
+            return null;
+        }
+        // The overlay has to be measured after the position has been applied, because
+        // pushing and flexible dimensions can change its final placement and size.
+        const overlayRect = this._pane.getBoundingClientRect();
+        const arrowRect = arrow.getBoundingClientRect();
+        const originRect = this._originRect;
+        const isAlongX = side === 'top' || side === 'bottom';
+        const originCenter = isAlongX ? originRect.left + originRect.width / 2 :
+            originRect.top + originRect.height / 2;
+        const overlayStart = isAlongX ? overlayRect.left : overlayRect.top;
+        const overlaySize = isAlongX ? overlayRect.width : overlayRect.height;
+        const arrowSize = isAlongX ? arrowRect.width : arrowRect.height;
+        const minOffset = this._arrowPadding;
+        const maxOffset = overlaySize - arrowSize - this._arrowPadding;
+        let offset;
+        // Center the arrow if the overlay is too small to respect the padding.
+        if (maxOffset < minOffset) {
+            offset = (overlaySize - arrowSize) / 2;
+        }
+        else {
+            offset = Math.min(Math.max(originCenter - overlayStart - arrowSize / 2, minOffset), maxOffset);
+        }
+        offset = Math.round(offset);
+        if (isAlongX) {
+            arrow.style.left = coerceCssPixelValue(offset);
+        }
+        else {
+            arrow.style.top = coerceCssPixelValue(offset);
+        }
+        return { side, offset };
+    }
+    /** Gets the edge of the overlay which faces the origin, if the overlay is next to the origin. */
+    _getArrowSide(position) {
+        if (position.originY === 'bottom' && position.overlayY === 'top') {
+            return 'top';
+        }
+        if (position.originY === 'top' && position.overlayY === 'bottom') {
+            return 'bottom';
+        }
+        if (position.originX === 'end' && position.overlayX === 'start') {
+            return this._isRtl() ? 'right' : 'left';
+        }
+        if (position.originX === 'start' && position.overlayX === 'end') {
+            return this._isRtl() ? 'left' : 'right';
+        }
+        return null;
+    }
     /**
      * Gets the position and size of the overlay's sizing container.
      *
@@ -1992,6 +2146,102 @@ class FlexibleConnectedPositionStrategy {
             height: height - (2 * this._viewportMargin),
         };
     }
+    /**
+     * Gets the rect of the boundary, relative to the viewport, narrowed down
+     * to the part of it that is inside the viewport minus the viewport margin.
+     */
+    _getBoundaryRect() {
+        if (!this._boundary) {
+            return null;
+        }
+        const element = this._boundary instanceof ElementRef ?
+            this._boundary.nativeElement : this._boundary;
+        const rect = element.getBoundingClientRect();
+        const viewportSize = this._viewportRuler.getViewportSize();
+        const margin = this._viewportMargin;
+        const top = Math.max(rect.top, margin);
+        const left = Math.max(rect.left, margin);
+        const bottom = Math.min(rect.bottom, viewportSize.height - margin);
+        const right = Math.min(rect.right, viewportSize.width - margin);
+        return {
+            top,
+            left,
+            bottom: Math.max(bottom, top),
+            right: Math.max(right, left),
+            width: Math.max(right - left, 0),
+            height: Math.max(bottom - top, 0),
+        };
+    }
+    /** Gets the rects of the obstacles that the overlay should avoid, relative to the viewport. */
+    _getObstacleRects() {
+        const rects = [];
+        this._obstacles.forEach(obstacle => {
+            let element;
+            if (obstacle instanceof ElementRef) {
+                element = obstacle.nativeElement;
+            }
+            else if (isElement(obstacle)) {
+                element = obstacle;
+            }
+            else {
+                element = obstacle.hasAttached() ? obstacle.overlayElement : null;
+            }
+            if (element && element !== this._pane) {
+                const rect = element.getBoundingClientRect();
+                // Elements without dimensions, e.g. hidden ones, can't be covered.
+                if (rect.width && rect.height) {
+                    rects.push(rect);
+                }
+            }
+        });
+        return rects;
+    }
+    /**
+     * Gets the area (in px^2) of the obstacles that an overlay at the given point would cover.
+     * Parts that are shared by overlapping obstacles are only counted once.
+     */
+    _getObstructedArea(x, y, overlay) {
+        const overlayRight = x + overlay.width;
+        const overlayBottom = y + overlay.height;
+        const coveredRects = [];
+        const edges = [];
+        // Only the parts of the obstacles that are inside the overlay matter.
+        for (const obstacle of this._obstacleRects) {
+            const top = Math.max(y, obstacle.top);
+            const bottom = Math.min(overlayBottom, obstacle.bottom);
+            const left = Math.max(x, obstacle.left);
+            const right = Math.min(overlayRight, obstacle.right);
+            if (right > left && bottom > top) {
+                coveredRects.push({ top, bottom, left, right, width: right - left, height: bottom - top });
+                edges.push(left, right);
+            }
+        }
+        edges.sort((a, b) => a - b);
+        let area = 0;
+        // Split the overlay into vertical strips at the edges of the obstacles and
+        // add up the height that is covered by at least one obstacle in each strip.
+        for (let i = 1; i < edges.length; i++) {
+            const stripLeft = edges[i - 1];
+            const stripRight = edges[i];
+            if (stripRight === stripLeft) {
+                continue;
+            }
+            const stripRects = coveredRects
+                .filter(rect => rect.left <= stripLeft && rect.right >= stripRight)
+                .sort((a, b) => a.top - b.top);
+            let coveredHeight = 0;
+            let coveredBottom = -Infinity;
+            for (const rect of stripRects) {
+                const top = Math.max(rect.top, coveredBottom);
+                if (rect.bottom > top) {
+                    coveredHeight += rect.bottom - top;
+                    coveredBottom = rect.bottom;
+                }
+            }
+            area += coveredHeight * (stripRight - stripLeft);
+        }
+        return area;
+    }
     /** Whether the we're dealing with an RTL context */
     _isRtl() {
         return this._overlayRef.getDirection() === 'rtl';
@@ -2055,6 +2305,9 @@ class FlexibleConnectedPositionStrategy {
         if (origin instanceof Element) {
             return origin.getBoundingClientRect();
         }
+        if (isVirtualOrigin(origin)) {
+            return origin.getBoundingClientRect();
+        }
         const width = origin.width || 0;
         const height = origin.height || 0;
         // If the origin is a point, return a client rect as if it was a 0x0 element at the point.
@@ -2068,6 +2321,30 @@ class FlexibleConnectedPositionStrategy {
         };
     }
 }
+/**
+ * Gets the amount by which to push an overlay along one axis such that it stays within a range.
+ * If the overlay is larger than the range, its start is pushed into the range and its end is
+ * allowed to overflow.
+ */
+function getPushAmount(start, size, min, max) {
+    if (size > max - min) {
+        return start < min ? min - start : 0;
+    }
+    if (start < min) {
+        return min - start;
+    }
+    return start + size > max ? max - (start + size) : 0;
+}
+/** Whether a value is a DOM element. */
+function isElement(value) {
+    // `Element` isn't defined on the server, where the origin is usually a point.
+    return typeof Element !== 'undefined' && value instanceof Element;
+}
+/** Whether an origin supplies its own dimensions without being an element or a point. */
+function isVirtualOrigin(origin) {
+    return !(origin instanceof ElementRef) && !isElement(origin) &&
+        typeof origin.getBoundingClientRect === 'function';
+}
 /** Shallow-extends a stylesheet object with another stylesheet object. */
 function extendStyles(destination, source) {
     for (let key in source) {
@@ -2689,6 +2966,12 @@ class CdkConnectedOverlay {
         this.open = false;
         /** Whether the overlay can be closed by user interaction. */
         this.disableClose = false;
+        /** Minimum distance in pixels between the arrow and the corners of the overlay. */
+        this.arrowPadding = 0;
+        /** Element, in addition to the viewport, within which the overlay has to fit. */
+        this.boundary = null;
+        /** Elements or other overlays that the overlay should avoid overlapping. */
+        this.obstacles = [];
         /** Event emitted when the backdrop is clicked. */
         this.backdropClick = new EventEmitter();
         /** Event emitted when the position has changed. */
@@ -2833,18 +3116,29 @@ class CdkConnectedOverlay {
             panelClass: currentPosition.panelClass || undefined,
         }));
         return positionStrategy
-            .setOrigin(this.origin.elementRef)
+            .setOrigin(this._getFlexibleConnectedPositionStrategyOrigin())
             .withPositions(positions)
             .withFlexibleDimensions(this.flexibleDimensions)
             .withPush(this.push)
             .withGrowAfterOpen(this.growAfterOpen)
             .withViewportMargin(this.viewportMargin)
             .withLockedPosition(this.lockPosition)
-            .withTransformOriginOn(this.transformOriginSelector);
+            .withTransformOriginOn(this.transformOriginSelector)
+            .withArrowOn(this.arrowSelector, this.arrowPadding)
+            .withBoundary(this.boundary)
+            .withObstacles(this.obstacles);
+    }
+    /** Gets the origin that should be passed to the position strategy. */
+    _getFlexibleConnectedPositionStrategyOrigin() {
+        if (this.origin instanceof CdkOverlayOrigin) {
+            return this.origin.elementRef;
+        }
+        return this.origin;
     }
     /** Returns the position strategy of the overlay to be set on the overlay config */
     _createPositionStrategy() {
-        const strategy = this._overlay.position().flexibleConnectedTo(this.origin.elementRef);
+        const strategy = this._overlay.position()
+            .flexibleConnectedTo(this._getFlexibleConnectedPositionStrategyOrigin());
         this._updatePositionStrategy(strategy);
         return strategy;
     }
@@ -2921,6 +3215,10 @@ CdkConnectedOverlay.propDecorators = {
     open: [{ type: Input, args: ['cdkConnectedOverlayOpen',] }],
     disableClose: [{ type: Input, args: ['cdkConnectedOverlayDisableClose',] }],
     transformOriginSelector: [{ type: Input, args: ['cdkConnectedOverlayTransformOriginOn',] }],
+    arrowSelector: [{ type: Input, args: ['cdkConnectedOverlayArrowOn',] }],
+    arrowPadding: [{ type: Input, args: ['cdkConnectedOverlayArrowPadding',] }],
+    boundary: [{ type: Input, args: ['cdkConnectedOverlayBoundary',] }],
+    obstacles: [{ type: Input, args: ['cdkConnectedOverlayObstacles',] }],
     hasBackdrop: [{ type: Input, args: ['cdkConnectedOverlayHasBackdrop',] }],
     lockPosition: [{ type: Input, args: ['cdkConnectedOverlayLockPosition',] }],
     flexibleDimensions: [{ type: Input, args: ['cdkConnectedOverlayFlexibleDimensions',] }],
@@ -17,6 +17,351 @@ import { isDataSource, ArrayDataSource, _VIEW_REPEATER_STRATEGY, _RecycleViewRep
 /** The injection token used to specify the virtual scrolling strategy. */
 const VIRTUAL_SCROLL_STRATEGY = new InjectionToken('VIRTUAL_SCROLL_STRATEGY');
 
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * Virtual scrolling strategy for lists with items of unknown or variable size. Items that haven't
+ * been rendered yet are estimated, while rendered items are measured. The measured sizes follow
+ * the items around when the data changes, based on their identity (as determined by the `trackBy`
+ * function of the repeater).
+ */
+class AutoSizeVirtualScrollStrategy {
+    /**
+     * @param itemSizeEstimate The size to assume for items that haven't been measured yet, if no
+     *     items have been measured.
+     * @param minBufferPx The minimum amount of buffer (in pixels) before needing to render more
+     * @param maxBufferPx The amount of buffer (in pixels) to render when rendering more.
+     */
+    constructor(itemSizeEstimate, minBufferPx, maxBufferPx) {
+        this._scrolledIndexChange = new Subject();
+        /** @docs-private Implemented as part of VirtualScrollStrategy. */
+        this.scrolledIndexChange = this._scrolledIndexChange.pipe(distinctUntilChanged());
+        /** The attached viewport. */
+        this._viewport = null;
+        /** Identities of the items in the data, as of the last time the data changed. */
+        this._itemKeys = [];
+        /** Measured size of each item in the data, or `undefined` if the item hasn't been measured. */
+        this._itemSizes = [];
+        /**
+         * Combined size of the measured items before each index. Contains one entry more than the
+         * number of items, the last of which is the combined size of all of the measured items.
+         */
+        this._measuredSizeSums = [0];
+        /** Number of measured items before each index. Has the same layout as `_measuredSizeSums`. */
+        this._measuredCounts = [0];
+        this._itemSizeEstimate = itemSizeEstimate;
+        this._minBufferPx = minBufferPx;
+        this._maxBufferPx = maxBufferPx;
+    }
+    /**
+     * Attaches this scroll strategy to a viewport.
+     * @param viewport The viewport to attach this strategy to.
+     */
+    attach(viewport) {
+        this._viewport = viewport;
+        this._syncItemKeys();
+        this._updateTotalContentSize();
+        this._updateRenderedRange();
+    }
+    /** Detaches this scroll strategy from the currently attached viewport. */
+    detach() {
+        this._scrolledIndexChange.complete();
+        this._viewport = null;
+    }
+    /**
+     * Update the item size estimate and buffer size.
+     * @param itemSizeEstimate The size to assume for items that haven't been measured yet, if no
+     *     items have been measured.
+     * @param minBufferPx The minimum amount of buffer (in pixels) before needing to render more
+     * @param maxBufferPx The amount of buffer (in pixels) to render when rendering more.
+     */
+    updateItemSizeEstimateAndBufferSize(itemSizeEstimate, minBufferPx, maxBufferPx) {
+        if (maxBufferPx < minBufferPx && (typeof ngDevMode === 'undefined' || ngDevMode)) {
+            throw Error('CDK virtual scroll: maxBufferPx must be greater than or equal to minBufferPx');
+        }
+        this._itemSizeEstimate = itemSizeEstimate;
+        this._minBufferPx = minBufferPx;
+        this._maxBufferPx = maxBufferPx;
+        this._updateTotalContentSize();
+        this._updateRenderedRange();
+    }
+    /**
+     * Clears all of the cached item measurements. Useful when something has changed that affects
+     * the size of all items (e.g. the width of the viewport). Rendered items will be re-measured
+     * the next time the content is rendered.
+     */
+    resetMeasurements() {
+        this._itemSizes = this._itemKeys.map(() => undefined);
+        this._updateMeasuredSums(0);
+        this._updateTotalContentSize();
+        this._updateRenderedRange();
+    }
+    /** @docs-private Implemented as part of VirtualScrollStrategy. */
+    onContentScrolled() {
+        this._updateRenderedRange();
+    }
+    /** @docs-private Implemented as part of VirtualScrollStrategy. */
+    onDataLengthChanged() {
+        // The keys are usually synced through `onDataChanged` already,
+        // but the viewport can also call this method on its own.
+        if (this._viewport && this._viewport.getDataLength() !== this._itemKeys.length) {
+            this._syncItemKeys();
+        }
+        this._updateTotalContentSize();
+        this._updateRenderedRange();
+    }
+    /** @docs-private Implemented as part of VirtualScrollStrategy. */
+    onDataChanged() {
+        this._syncItemKeys();
+        this._updateTotalContentSize();
+        this._updateRenderedRange();
+    }
+    /** @docs-private Implemented as part of VirtualScrollStrategy. */
+    onContentRendered() {
+        const viewport = this._viewport;
+        if (!viewport) {
+            return;
+        }
+        const firstChangedIndex = this._measureRenderedItems();
+        if (firstChangedIndex === -1) {
+            return;
+        }
+        // Some of the measurements changed so the item offsets need to be recalculated. Capture the
+        // item that is currently at the top of the viewport, as well as how far into it the user has
+        // scrolled, so that we can keep it in the same place once the offsets have shifted. Note that
+        // the offsets are still based on the previous measurements at this point.
+        const scrollOffset = viewport.measureScrollOffset();
+        const anchorIndex = this._getIndexAtOffset(scrollOffset);
+        const anchorDelta = scrollOffset - this._getOffset(anchorIndex);
+        this._updateMeasuredSums(firstChangedIndex);
+        this._updateTotalContentSize();
+        viewport.setRenderedContentOffset(this._getOffset(viewport.getRenderedRange().start));
+        const newScrollOffset = this._getOffset(anchorIndex) + anchorDelta;
+        if (newScrollOffset !== scrollOffset) {
+            viewport.scrollToOffset(newScrollOffset);
+        }
+        // Now that we know the real size of the rendered items, we may have to render more of them.
+        this._updateRenderedRange();
+    }
+    /** @docs-private Implemented as part of VirtualScrollStrategy. */
+    onRenderedOffsetChanged() { }
+    /**
+     * Scroll to the offset for the given index.
+     * @param index The index of the element to scroll to.
+     * @param behavior The ScrollBehavior to use when scrolling.
+     */
+    scrollToIndex(index, behavior) {
+        if (this._viewport) {
+            this._viewport.scrollToOffset(this._getOffset(index), behavior);
+        }
+    }
+    /** Gets the size that should be assumed for an item that hasn't been measured. */
+    _getEstimatedItemSize() {
+        const lastIndex = this._measuredCounts.length - 1;
+        const measuredCount = this._measuredCounts[lastIndex];
+        return measuredCount ?
+            this._measuredSizeSums[lastIndex] / measuredCount : this._itemSizeEstimate;
+    }
+    /** Gets the offset from the start of the content to the start of the item at an index. */
+    _getOffset(index) {
+        index = Math.max(0, Math.min(index, this._measuredCounts.length - 1));
+        // The offset is made up of the sizes of the measured items before the index, plus the
+        // estimated sizes of the rest. Computing it on demand means that we don't have to
+        // recalculate all of the offsets whenever a measurement changes the estimated size.
+        return this._measuredSizeSums[index] +
+            (index - this._measuredCounts[index]) * this._getEstimatedItemSize();
+    }
+    /** Gets the index of the item that is rendered at a particular offset. */
+    _getIndexAtOffset(offset) {
+        let start = 0;
+        let end = Math.max(0, this._measuredCounts.length - 2);
+        // The offsets are always sorted so we can do a binary search for the
+        // last item that starts at or before the specified offset.
+        while (start < end) {
+            const middle = Math.ceil((start + end) / 2);
+            if (this._getOffset(middle) <= offset) {
+                start = middle;
+            }
+            else {
+                end = middle - 1;
+            }
+        }
+        return start;
+    }
+    /**
+     * Measures all of the items that are currently rendered and caches their sizes.
+     * @returns Index of the first item whose size changed, or -1 if none of them changed.
+     */
+    _measureRenderedItems() {
+        const viewport = this._viewport;
+        const range = viewport.getRenderedRange();
+        const end = Math.min(range.end, this._itemSizes.length);
+        let firstChangedIndex = -1;
+        for (let i = range.start; i < end; i++) {
+            const size = viewport.measureRangeSize({ start: i, end: i + 1 });
+            if (this._itemSizes[i] !== size) {
+                this._itemSizes[i] = size;
+                if (firstChangedIndex === -1) {
+                    firstChangedIndex = i;
+                }
+            }
+        }
+        return firstChangedIndex;
+    }
+    /**
+     * Reads the identities of the items in the data and moves their measured sizes to their new
+     * indexes. Measurements of items that are no longer in the data are dropped.
+     */
+    _syncItemKeys() {
+        const viewport = this._viewport;
+        const dataLength = viewport.getDataLength();
+        const previousKeys = this._itemKeys;
+        const previousSizes = this._itemSizes;
+        const keys = [];
+        const sizes = [];
+        let remainingSizes = null;
+        let firstChangedIndex = -1;
+        for (let i = 0; i < dataLength; i++) {
+            const key = viewport.getItemKey(i);
+            keys.push(key);
+            // Items that haven't moved keep their measurement.
+            if (!remainingSizes && previousKeys[i] === key && i < previousKeys.length) {
+                sizes.push(previousSizes[i]);
+                continue;
+            }
+            if (!remainingSizes) {
+                firstChangedIndex = i;
+                remainingSizes = new Map();
+                // Collect the rest of the measurements in reverse, so that items with the same key
+                // (e.g. primitives without a `trackBy` function) get them back in their original order.
+                for (let j = previousKeys.length - 1; j >= i; j--) {
+                    const queue = remainingSizes.get(previousKeys[j]);
+                    if (queue) {
+                        queue.push(previousSizes[j]);
+                    }
+                    else {
+                        remainingSizes.set(previousKeys[j], [previousSizes[j]]);
+                    }
+                }
+            }
+            const queue = remainingSizes.get(key);
+            sizes.push(queue && queue.length ? queue.pop() : undefined);
+        }
+        this._itemKeys = keys;
+        this._itemSizes = sizes;
+        this._updateMeasuredSums(firstChangedIndex === -1 ? dataLength : firstChangedIndex);
+    }
+    /**
+     * Recalculates the combined sizes of the measured items, starting from a specific index.
+     * @param fromIndex Index of the first item whose measurement changed.
+     */
+    _updateMeasuredSums(fromIndex) {
+        const sizes = this._itemSizes;
+        const sums = this._measuredSizeSums;
+        const counts = this._measuredCounts;
+        sums.length = counts.length = sizes.length + 1;
+        for (let i = fromIndex; i < sizes.length; i++) {
+            const size = sizes[i];
+            sums[i + 1] = sums[i] + (size === undefined ? 0 : size);
+            counts[i + 1] = counts[i] + (size === undefined ? 0 : 1);
+        }
+    }
+    /** Update the viewport's total content size. */
+    _updateTotalContentSize() {
+        if (!this._viewport) {
+            return;
+        }
+        this._viewport.setTotalContentSize(this._getOffset(this._itemSizes.length));
+    }
+    /** Update the viewport's rendered range. */
+    _updateRenderedRange() {
+        if (!this._viewport) {
+            return;
+        }
+        const viewport = this._viewport;
+        const renderedRange = viewport.getRenderedRange();
+        const viewportSize = viewport.getViewportSize();
+        const dataLength = viewport.getDataLength();
+        const scrollOffset = viewport.measureScrollOffset();
+        const firstVisibleIndex = this._getIndexAtOffset(scrollOffset);
+        const startBuffer = scrollOffset - this._getOffset(renderedRange.start);
+        const endBuffer = this._getOffset(renderedRange.end) - (scrollOffset + viewportSize);
+        let newRange = { start: renderedRange.start, end: renderedRange.end };
+        // Re-calculate the range if we've run out of buffer on either side, or if the data was
+        // changed in a way that leaves the rendered range beyond the end of the list.
+        if ((startBuffer < this._minBufferPx && renderedRange.start != 0) ||
+            (endBuffer < this._minBufferPx && renderedRange.end != dataLength) ||
+            renderedRange.end > dataLength) {
+            newRange = {
+                start: this._getIndexAtOffset(Math.max(0, scrollOffset - this._maxBufferPx)),
+                end: Math.min(dataLength, this._getIndexAtOffset(scrollOffset + viewportSize + this._maxBufferPx) + 1)
+            };
+        }
+        viewport.setRenderedRange(newRange);
+        viewport.setRenderedContentOffset(this._getOffset(newRange.start));
+        this._scrolledIndexChange.next(firstVisibleIndex);
+    }
+}
+/**
+ * Provider factory for `AutoSizeVirtualScrollStrategy` that simply extracts the already created
+ * `AutoSizeVirtualScrollStrategy` from the given directive.
+ * @param autoSizeDir The instance of `CdkAutoSizeVirtualScroll` to extract the
+ *     `AutoSizeVirtualScrollStrategy` from.
+ */
+function _autoSizeVirtualScrollStrategyFactory(autoSizeDir) {
+    return autoSizeDir._scrollStrategy;
+}
+/** A virtual scroll strategy that supports items of unknown or varying size. */
+class CdkAutoSizeVirtualScroll {
+    constructor() {
+        this._itemSizeEstimate = 50;
+        this._minBufferPx = 100;
+        this._maxBufferPx = 200;
+        /** The scroll strategy used by this directive. */
+        this._scrollStrategy = new AutoSizeVirtualScrollStrategy(this.itemSizeEstimate, this.minBufferPx, this.maxBufferPx);
+    }
+    /**
+     * The size (in pixels) to assume for items that haven't been rendered yet, before any items have
+     * been measured. Once items are measured, their average size is used instead. Defaults to 50px.
+     */
+    get itemSizeEstimate() { return this._itemSizeEstimate; }
+    set itemSizeEstimate(value) { this._itemSizeEstimate = coerceNumberProperty(value); }
+    /**
+     * The minimum amount of buffer rendered beyond the viewport (in pixels).
+     * If the amount of buffer dips below this number, more items will be rendered. Defaults to 100px.
+     */
+    get minBufferPx() { return this._minBufferPx; }
+    set minBufferPx(value) { this._minBufferPx = coerceNumberProperty(value); }
+    /**
+     * The number of pixels worth of buffer to render for when rendering new items. Defaults to 200px.
+     */
+    get maxBufferPx() { return this._maxBufferPx; }
+    set maxBufferPx(value) { this._maxBufferPx = coerceNumberProperty(value); }
+    ngOnChanges() {
+        this._scrollStrategy.updateItemSizeEstimateAndBufferSize(this.itemSizeEstimate, this.minBufferPx, this.maxBufferPx);
+    }
+}
+CdkAutoSizeVirtualScroll.decorators = [
+    { type: Directive, args: [{
+                selector: 'cdk-virtual-scroll-viewport[autosize]',
+                providers: [{
+                        provide: VIRTUAL_SCROLL_STRATEGY,
+                        useFactory: _autoSizeVirtualScrollStrategyFactory,
+                        deps: [forwardRef(() => CdkAutoSizeVirtualScroll)],
+                    }],
+            },] }
+];
+CdkAutoSizeVirtualScroll.propDecorators = {
+    itemSizeEstimate: [{ type: Input }],
+    minBufferPx: [{ type: Input }],
+    maxBufferPx: [{ type: Input }]
+};
+
 /**
  * @license
  * Copyright Google LLC All Rights Reserved.
@@ -200,6 +545,209 @@ CdkFixedSizeVirtualScroll.propDecorators = {
     maxBufferPx: [{ type: Input }]
 };
 
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * Virtual scrolling strategy for two-dimensional grids where all rows have the same fixed height
+ * and all columns have the same fixed width. The rows are rendered using `cdkVirtualFor` and the
+ * columns inside each row are rendered using `cdkVirtualColumnFor`.
+ */
+class FixedSizeVirtualGridStrategy {
+    /**
+     * @param rowHeight The height of the rows in the grid.
+     * @param columnWidth The width of the columns in the grid.
+     * @param columnCount The total number of columns in the grid.
+     * @param minBufferPx The minimum amount of buffer (in pixels) before needing to render more
+     * @param maxBufferPx The amount of buffer (in pixels) to render when rendering more.
+     */
+    constructor(rowHeight, columnWidth, columnCount, minBufferPx, maxBufferPx) {
+        /** The attached viewport. */
+        this._viewport = null;
+        this._rowHeight = rowHeight;
+        this._columnWidth = columnWidth;
+        this._columnCount = columnCount;
+        this._minBufferPx = minBufferPx;
+        this._maxBufferPx = maxBufferPx;
+        this._rowStrategy = new FixedSizeVirtualScrollStrategy(rowHeight, minBufferPx, maxBufferPx);
+        this.scrolledIndexChange = this._rowStrategy.scrolledIndexChange;
+    }
+    /**
+     * Attaches this scroll strategy to a viewport.
+     * @param viewport The viewport to attach this strategy to.
+     */
+    attach(viewport) {
+        if (viewport.orientation === 'horizontal' && (typeof ngDevMode === 'undefined' || ngDevMode)) {
+            throw Error('CDK virtual scroll: virtual grids require a vertical viewport.');
+        }
+        this._viewport = viewport;
+        this._rowStrategy.attach(viewport);
+        this._updateTotalColumnContentSize();
+        this._updateRenderedColumnRange();
+    }
+    /** Detaches this scroll strategy from the currently attached viewport. */
+    detach() {
+        this._rowStrategy.detach();
+        this._viewport = null;
+    }
+    /**
+     * Update the cell size, number of columns and buffer size.
+     * @param rowHeight The height of the rows in the grid.
+     * @param columnWidth The width of the columns in the grid.
+     * @param columnCount The total number of columns in the grid.
+     * @param minBufferPx The minimum amount of buffer (in pixels) before needing to render more
+     * @param maxBufferPx The amount of buffer (in pixels) to render when rendering more.
+     */
+    updateCellAndBufferSize(rowHeight, columnWidth, columnCount, minBufferPx, maxBufferPx) {
+        this._rowStrategy.updateItemAndBufferSize(rowHeight, minBufferPx, maxBufferPx);
+        this._rowHeight = rowHeight;
+        this._columnWidth = columnWidth;
+        this._columnCount = columnCount;
+        this._minBufferPx = minBufferPx;
+        this._maxBufferPx = maxBufferPx;
+        this._updateTotalColumnContentSize();
+        this._updateRenderedColumnRange();
+    }
+    /** @docs-private Implemented as part of VirtualScrollStrategy. */
+    onContentScrolled() {
+        this._rowStrategy.onContentScrolled();
+        this._updateRenderedColumnRange();
+    }
+    /** @docs-private Implemented as part of VirtualScrollStrategy. */
+    onDataLengthChanged() {
+        this._rowStrategy.onDataLengthChanged();
+        this._updateRenderedColumnRange();
+    }
+    /** @docs-private Implemented as part of VirtualScrollStrategy. */
+    onContentRendered() { }
+    /** @docs-private Implemented as part of VirtualScrollStrategy. */
+    onRenderedOffsetChanged() { }
+    /**
+     * Scroll to the offset for the given row.
+     * @param index The index of the row to scroll to.
+     * @param behavior The ScrollBehavior to use when scrolling.
+     */
+    scrollToIndex(index, behavior) {
+        this._rowStrategy.scrollToIndex(index, behavior);
+    }
+    /**
+     * Scroll to the offset for the given cell.
+     * @param row The index of the row to scroll to.
+     * @param column The index of the column to scroll to.
+     * @param behavior The ScrollBehavior to use when scrolling.
+     */
+    scrollToCell(row, column, behavior) {
+        if (this._viewport) {
+            this._viewport.scrollTo({
+                top: row * this._rowHeight,
+                start: column * this._columnWidth,
+                behavior
+            });
+        }
+    }
+    /** Update the viewport's total column content size. */
+    _updateTotalColumnContentSize() {
+        if (this._viewport) {
+            this._viewport.setTotalColumnContentSize(this._columnCount * this._columnWidth);
+        }
+    }
+    /** Update the viewport's rendered range of columns. */
+    _updateRenderedColumnRange() {
+        if (!this._viewport) {
+            return;
+        }
+        const renderedRange = this._viewport.getRenderedColumnRange();
+        const viewportWidth = this._viewport.getViewportWidth();
+        const scrollOffset = this._viewport.measureScrollOffset('start');
+        const columnCount = this._columnCount;
+        const columnWidth = this._columnWidth;
+        const startBuffer = scrollOffset - renderedRange.start * columnWidth;
+        const endBuffer = renderedRange.end * columnWidth - (scrollOffset + viewportWidth);
+        // Only re-render if one of the buffers dips below the minimum, or if the
+        // number of columns changed so that the current range is out of bounds.
+        if ((startBuffer < this._minBufferPx && renderedRange.start != 0) ||
+            (endBuffer < this._minBufferPx && renderedRange.end != columnCount) ||
+            renderedRange.end > columnCount) {
+            // Prevent NaN as result when dividing by zero.
+            const start = columnWidth > 0 ?
+                Math.floor((scrollOffset - this._maxBufferPx) / columnWidth) : 0;
+            const end = columnWidth > 0 ?
+                Math.ceil((scrollOffset + viewportWidth + this._maxBufferPx) / columnWidth) : 0;
+            const newRange = {
+                start: Math.max(0, Math.min(start, columnCount)),
+                end: Math.max(0, Math.min(end, columnCount)),
+            };
+            this._viewport.setRenderedColumnRange(newRange);
+            this._viewport.setRenderedColumnContentOffset(newRange.start * columnWidth);
+        }
+    }
+}
+/**
+ * Provider factory for `FixedSizeVirtualGridStrategy` that simply extracts the already created
+ * `FixedSizeVirtualGridStrategy` from the given directive.
+ * @param gridDir The instance of `CdkFixedSizeVirtualGrid` to extract the
+ *     `FixedSizeVirtualGridStrategy` from.
+ */
+function _fixedSizeVirtualGridStrategyFactory(gridDir) {
+    return gridDir._scrollStrategy;
+}
+/** A virtual scroll strategy that supports grids with fixed-size rows and columns. */
+class CdkFixedSizeVirtualGrid {
+    constructor() {
+        this._rowHeight = 20;
+        this._columnWidth = 100;
+        this._columnCount = 0;
+        this._minBufferPx = 100;
+        this._maxBufferPx = 200;
+        /** The scroll strategy used by this directive. */
+        this._scrollStrategy = new FixedSizeVirtualGridStrategy(this.rowHeight, this.columnWidth, this.columnCount, this.minBufferPx, this.maxBufferPx);
+    }
+    /** The height of the rows in the grid (in pixels). */
+    get rowHeight() { return this._rowHeight; }
+    set rowHeight(value) { this._rowHeight = coerceNumberProperty(value); }
+    /** The width of the columns in the grid (in pixels). */
+    get columnWidth() { return this._columnWidth; }
+    set columnWidth(value) { this._columnWidth = coerceNumberProperty(value); }
+    /** The total number of columns in the grid. */
+    get columnCount() { return this._columnCount; }
+    set columnCount(value) { this._columnCount = coerceNumberProperty(value); }
+    /**
+     * The minimum amount of buffer rendered beyond the viewport (in pixels).
+     * If the amount of buffer dips below this number, more cells will be rendered. Defaults to 100px.
+     */
+    get minBufferPx() { return this._minBufferPx; }
+    set minBufferPx(value) { this._minBufferPx = coerceNumberProperty(value); }
+    /**
+     * The number of pixels worth of buffer to render for when rendering new cells. Defaults to 200px.
+     */
+    get maxBufferPx() { return this._maxBufferPx; }
+    set maxBufferPx(value) { this._maxBufferPx = coerceNumberProperty(value); }
+    ngOnChanges() {
+        this._scrollStrategy.updateCellAndBufferSize(this.rowHeight, this.columnWidth, this.columnCount, this.minBufferPx, this.maxBufferPx);
+    }
+}
+CdkFixedSizeVirtualGrid.decorators = [
+    { type: Directive, args: [{
+                selector: 'cdk-virtual-scroll-viewport[rowHeight][columnWidth]',
+                providers: [{
+                        provide: VIRTUAL_SCROLL_STRATEGY,
+                        useFactory: _fixedSizeVirtualGridStrategyFactory,
+                        deps: [forwardRef(() => CdkFixedSizeVirtualGrid)],
+                    }],
+            },] }
+];
+CdkFixedSizeVirtualGrid.propDecorators = {
+    rowHeight: [{ type: Input }],
+    columnWidth: [{ type: Input }],
+    columnCount: [{ type: Input }],
+    minBufferPx: [{ type: Input }],
+    maxBufferPx: [{ type: Input }]
+};
+
 /**
  * @license
  * Copyright Google LLC All Rights Reserved.
@@ -679,6 +1227,8 @@ class CdkVirtualScrollViewport extends CdkScrollable {
         this._detachedSubject = new Subject();
         /** Emits when the rendered range changes. */
         this._renderedRangeSubject = new Subject();
+        /** Emits when the rendered range of columns changes. */
+        this._renderedColumnRangeSubject = new Subject();
         this._orientation = 'vertical';
         // Note: we don't use the typical EventEmitter here because we need to subscribe to the scroll
         // strategy lazily (i.e. only if the user is actually listening to the events). We do this because
@@ -688,20 +1238,39 @@ class CdkVirtualScrollViewport extends CdkScrollable {
         this.scrolledIndexChange = new Observable((observer) => this._scrollStrategy.scrolledIndexChange.subscribe(index => Promise.resolve().then(() => this.ngZone.run(() => observer.next(index)))));
         /** A stream that emits whenever the rendered range changes. */
         this.renderedRangeStream = this._renderedRangeSubject;
+        /**
+         * A stream that emits whenever the rendered range of columns changes. Only emits if the
+         * columns are being virtualized by the scroll strategy (e.g. when rendering a grid).
+         */
+        this.renderedColumnRangeStream = this._renderedColumnRangeSubject;
         /**
          * The total size of all content (in pixels), including content that is not currently rendered.
          */
         this._totalContentSize = 0;
+        /**
+         * The total size of all columns (in pixels), including columns that are not currently rendered.
+         * Only set if the columns are being virtualized.
+         */
+        this._totalColumnContentSize = 0;
         /** A string representing the `style.width` property value to be used for the spacer element. */
         this._totalContentWidth = '';
         /** A string representing the `style.height` property value to be used for the spacer element. */
         this._totalContentHeight = '';
         /** The currently rendered range of indices. */
         this._renderedRange = { start: 0, end: 0 };
+        /** The currently rendered range of column indices. */
+        this._renderedColumnRange = { start: 0, end: 0 };
+        /**
+         * The CSS transform applied to the rendered subset of columns so that they appear within the
+         * horizontal bounds of the visible viewport.
+         */
+        this._renderedColumnContentTransform = '';
         /** The length of the data bound to this viewport (in number of items). */
         this._dataLength = 0;
         /** The size of the viewport (in pixels). */
         this._viewportSize = 0;
+        /** The width of the viewport (in pixels). */
+        this._viewportWidth = 0;
         /** The last rendered content offset that was set. */
         this._renderedContentOffset = 0;
         /**
@@ -716,7 +1285,8 @@ class CdkVirtualScrollViewport extends CdkScrollable {
         /** Subscription to changes in the viewport size. */
         this._viewportChanges = Subscription.EMPTY;
         if (!_scrollStrategy && (typeof ngDevMode === 'undefined' || ngDevMode)) {
-            throw Error('Error: cdk-virtual-scroll-viewport requires the "itemSize" property to be set.');
+            throw Error('Error: cdk-virtual-scroll-viewport requires the "itemSize" or "autosize" ' +
+                'property to be set.');
         }
         this._viewportChanges = viewportRuler.change().subscribe(() => {
             this.checkViewportSize();
@@ -758,6 +1328,7 @@ class CdkVirtualScrollViewport extends CdkScrollable {
         this._scrollStrategy.detach();
         // Complete all subjects
         this._renderedRangeSubject.complete();
+        this._renderedColumnRangeSubject.complete();
         this._detachedSubject.complete();
         this._viewportChanges.unsubscribe();
         super.ngOnDestroy();
@@ -767,17 +1338,23 @@ class CdkVirtualScrollViewport extends CdkScrollable {
         if (this._forOf && (typeof ngDevMode === 'undefined' || ngDevMode)) {
             throw Error('CdkVirtualScrollViewport is already attached.');
         }
-        // Subscribe to the data stream of the CdkVirtualForOf to keep track of when the data length
-        // changes. Run outside the zone to avoid triggering change detection, since we're managing the
-        // change detection loop ourselves.
+        // Subscribe to the data stream of the CdkVirtualForOf to keep track of when the data and its
+        // length change. Run outside the zone to avoid triggering change detection, since we're
+        // managing the change detection loop ourselves.
         this.ngZone.runOutsideAngular(() => {
             this._forOf = forOf;
             this._forOf.dataStream.pipe(takeUntil(this._detachedSubject)).subscribe(data => {
                 const newLength = data.length;
-                if (newLength !== this._dataLength) {
-                    this._dataLength = newLength;
+                const lengthChanged = newLength !== this._dataLength;
+                this._dataLength = newLength;
+                if (this._scrollStrategy.onDataChanged) {
+                    this._scrollStrategy.onDataChanged();
+                }
+                if (lengthChanged) {
                     this._scrollStrategy.onDataLengthChanged();
                 }
+                // The new data may have changed the size of the rendered items.
+                this._runAfterChangeDetection.push(() => this._scrollStrategy.onContentRendered());
                 this._doChangeDetection();
             });
         });
@@ -795,6 +1372,10 @@ class CdkVirtualScrollViewport extends CdkScrollable {
     getViewportSize() {
         return this._viewportSize;
     }
+    /** Gets the width of the viewport (in pixels), regardless of its orientation. */
+    getViewportWidth() {
+        return this._viewportWidth;
+    }
     // TODO(mmalerba): This is technically out of sync with what's really rendered until a render
     // cycle happens. I'm being careful to only call it after the render cycle is complete and before
     // setting it to something else, but its error prone and should probably be split into
@@ -821,6 +1402,43 @@ class CdkVirtualScrollViewport extends CdkScrollable {
             this._markChangeDetectionNeeded(() => this._scrollStrategy.onContentRendered());
         }
     }
+    /** Get the current rendered range of columns. */
+    getRenderedColumnRange() {
+        return this._renderedColumnRange;
+    }
+    /** Sets the currently rendered range of column indices. */
+    setRenderedColumnRange(range) {
+        if (!rangesEqual(this._renderedColumnRange, range)) {
+            this._renderedColumnRangeSubject.next(this._renderedColumnRange = range);
+            this._markChangeDetectionNeeded(() => this._scrollStrategy.onContentRendered());
+        }
+    }
+    /**
+     * Sets the total size of all columns (in pixels), including columns that are not currently
+     * rendered.
+     */
+    setTotalColumnContentSize(size) {
+        if (this._totalColumnContentSize !== size) {
+            this._totalColumnContentSize = size;
+            this._calculateSpacerSize();
+            this._markChangeDetectionNeeded();
+        }
+    }
+    /**
+     * Sets the offset from the start of the viewport to the start of the rendered columns
+     * (in pixels).
+     */
+    setRenderedColumnContentOffset(offset) {
+        // In a right-to-left language we need to translate along the x-axis in the negative direction.
+        const axisDirection = this.dir && this.dir.value == 'rtl' ? -1 : 1;
+        const transform = `translateX(${Number(axisDirection * offset)}px)`;
+        if (this._renderedColumnContentTransform != transform) {
+            // We know this value is safe because we parse `offset` with `Number()` before passing it
+            // into the string.
+            this._renderedColumnContentTransform = transform;
+            this._markChangeDetectionNeeded();
+        }
+    }
     /**
      * Gets the offset from the start of the viewport to the start of the rendered data (in pixels).
      */
@@ -888,6 +1506,23 @@ class CdkVirtualScrollViewport extends CdkScrollable {
     scrollToIndex(index, behavior = 'auto') {
         this._scrollStrategy.scrollToIndex(index, behavior);
     }
+    /**
+     * Scrolls to the offset for the given cell. Requires a scroll strategy that virtualizes both
+     * the rows and the columns, like the one provided by `CdkFixedSizeVirtualGrid`.
+     * @param row The index of the row to scroll to.
+     * @param column The index of the column to scroll to.
+     * @param behavior The ScrollBehavior to use when scrolling. Default is behavior is `auto`.
+     */
+    scrollToCell(row, column, behavior = 'auto') {
+        const strategy = this._scrollStrategy;
+        if (strategy.scrollToCell) {
+            strategy.scrollToCell(row, column, behavior);
+        }
+        else if (typeof ngDevMode === 'undefined' || ngDevMode) {
+            throw Error('CdkVirtualScrollViewport: scrollToCell requires a scroll strategy that ' +
+                'virtualizes both rows and columns.');
+        }
+    }
     /**
      * Gets the current scroll offset from the start of the viewport (in pixels).
      * @param from The edge to measure the offset from. Defaults to 'top' in vertical mode and 'start'
@@ -913,6 +1548,13 @@ class CdkVirtualScrollViewport extends CdkScrollable {
         }
         return this._forOf.measureRangeSize(range, this.orientation);
     }
+    /**
+     * Gets a value that identifies the item at the given index in the data. Falls back to the index
+     * itself if the attached `CdkVirtualScrollRepeater` can't identify its items.
+     */
+    getItemKey(index) {
+        return this._forOf && this._forOf.getItemKey ? this._forOf.getItemKey(index) : index;
+    }
     /** Update the viewport dimensions and re-render. */
     checkViewportSize() {
         // TODO: Cleanup later when add logic for handling content resize
@@ -922,8 +1564,9 @@ class CdkVirtualScrollViewport extends CdkScrollable {
     /** Measure the viewport size. */
     _measureViewportSize() {
         const viewportEl = this.elementRef.nativeElement;
+        this._viewportWidth = viewportEl.clientWidth;
         this._viewportSize = this.orientation === 'horizontal' ?
-            viewportEl.clientWidth : viewportEl.clientHeight;
+            this._viewportWidth : viewportEl.clientHeight;
     }
     /** Queue up change detection to run. */
     _markChangeDetectionNeeded(runAfter) {
@@ -946,7 +1589,9 @@ class CdkVirtualScrollViewport extends CdkScrollable {
         // bypassSecurityTrustStyle is banned in Google. However the value is safe, it's composed of
         // string literals, a variable that can only be 'X' or 'Y', and user input that is run through
         // the `Number` function first to coerce it to a numeric value.
-        this._contentWrapper.nativeElement.style.transform = this._renderedContentTransform;
+        this._contentWrapper.nativeElement.style.transform = this._renderedColumnContentTransform ?
+            `${this._renderedContentTransform || ''} ${this._renderedColumnContentTransform}` :
+            this._renderedContentTransform;
         // Apply changes to Angular bindings. Note: We must call `markForCheck` to run change detection
         // from the root, since the repeated items are content projected in. Calling `detectChanges`
         // instead does not properly check the projected content.
@@ -961,8 +1606,13 @@ class CdkVirtualScrollViewport extends CdkScrollable {
     _calculateSpacerSize() {
         this._totalContentHeight =
             this.orientation === 'horizontal' ? '' : `${this._totalContentSize}px`;
-        this._totalContentWidth =
-            this.orientation === 'horizontal' ? `${this._totalContentSize}px` : '';
+        if (this.orientation === 'horizontal') {
+            this._totalContentWidth = `${this._totalContentSize}px`;
+        }
+        else {
+            this._totalContentWidth =
+                this._totalColumnContentSize ? `${this._totalColumnContentSize}px` : '';
+        }
     }
 }
 CdkVirtualScrollViewport.decorators = [
@@ -1064,12 +1714,12 @@ class CdkVirtualForOf {
             this._data = data;
             this._onRenderedDataChange();
         });
-        this._viewport.renderedRangeStream.pipe(takeUntil(this._destroyed)).subscribe(range => {
+        this._getRenderedRangeStream().pipe(takeUntil(this._destroyed)).subscribe(range => {
             this._renderedRange = range;
             ngZone.run(() => this.viewChange.next(this._renderedRange));
             this._onRenderedDataChange();
         });
-        this._viewport.attach(this);
+        this._attachToViewport();
     }
     /** The DataSource to display. */
     get cdkVirtualForOf() {
@@ -1155,6 +1805,18 @@ class CdkVirtualForOf {
         return firstNode && lastNode ?
             getOffset(orientation, 'end', lastNode) - getOffset(orientation, 'start', firstNode) : 0;
     }
+    /**
+     * Gets the identity of the item at the specified index in the data, as determined by the
+     * `cdkVirtualForTrackBy` function. If no `trackBy` function is set, the item itself is returned.
+     */
+    getItemKey(index) {
+        const item = this._data ? this._data[index] : undefined;
+        const trackBy = this._cdkVirtualForTrackBy;
+        // Note that the `trackBy` function that we've stored adds the start of the rendered
+        // range to the index, because it expects indexes relative to the rendered items.
+        return trackBy ?
+            trackBy(index - (this._renderedRange ? this._renderedRange.start : 0), item) : item;
+    }
     ngDoCheck() {
         if (this._differ && this._needsUpdate) {
             // TODO(mmalerba): We should differentiate needs update due to scrolling and a new portion of
@@ -1171,7 +1833,7 @@ class CdkVirtualForOf {
         }
     }
     ngOnDestroy() {
-        this._viewport.detach();
+        this._detachFromViewport();
         this._dataSourceChanges.next(undefined);
         this._dataSourceChanges.complete();
         this.viewChange.complete();
@@ -1179,6 +1841,18 @@ class CdkVirtualForOf {
         this._destroyed.complete();
         this._viewRepeater.detach();
     }
+    /** Gets the stream of ranges that should be rendered by this repeater. */
+    _getRenderedRangeStream() {
+        return this._viewport.renderedRangeStream;
+    }
+    /** Attaches the repeater to the viewport as the source of its data. */
+    _attachToViewport() {
+        this._viewport.attach(this);
+    }
+    /** Detaches the repeater from the viewport. */
+    _detachFromViewport() {
+        this._viewport.detach();
+    }
     /** React to scroll state changes in the viewport. */
     _onRenderedDataChange() {
         if (!this._renderedRange) {
@@ -1285,6 +1959,80 @@ CdkVirtualForOf.propDecorators = {
     cdkVirtualForTemplateCacheSize: [{ type: Input }]
 };
 
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * A directive similar to `cdkVirtualFor` that renders the columns of a row inside a virtual
+ * scrolling grid. Only the columns within the rendered column range of the viewport are stamped
+ * out. Requires a scroll strategy that virtualizes columns, like `CdkFixedSizeVirtualGrid`.
+ */
+class CdkVirtualColumnForOf extends CdkVirtualForOf {
+    /** The DataSource to display in the columns. */
+    get cdkVirtualColumnForOf() {
+        return this.cdkVirtualForOf;
+    }
+    set cdkVirtualColumnForOf(value) {
+        this.cdkVirtualForOf = value;
+    }
+    /**
+     * The `TrackByFunction` to use for tracking changes. The `TrackByFunction` takes the index and
+     * the item and produces a value to be used as the item's identity when tracking changes.
+     */
+    get cdkVirtualColumnForTrackBy() {
+        return this.cdkVirtualForTrackBy;
+    }
+    set cdkVirtualColumnForTrackBy(fn) {
+        this.cdkVirtualForTrackBy = fn;
+    }
+    /** The template used to stamp out new elements. */
+    set cdkVirtualColumnForTemplate(value) {
+        this.cdkVirtualForTemplate = value;
+    }
+    /**
+     * The size of the cache used to store templates that are not being used for re-use later.
+     * Setting the cache size to `0` will disable caching. Defaults to 20 templates.
+     */
+    get cdkVirtualColumnForTemplateCacheSize() {
+        return this.cdkVirtualForTemplateCacheSize;
+    }
+    set cdkVirtualColumnForTemplateCacheSize(size) {
+        this.cdkVirtualForTemplateCacheSize = size;
+    }
+    /** Gets the stream of column ranges that should be rendered by this repeater. */
+    _getRenderedRangeStream() {
+        // Column repeaters are created lazily inside of the rendered rows so they need to
+        // start off with the range that is currently being rendered.
+        return this._viewport.renderedColumnRangeStream
+            .pipe(startWith(this._viewport.getRenderedColumnRange()));
+    }
+    /**
+     * Column repeaters don't attach to the viewport, because the number of rows is determined by
+     * the row repeater.
+     */
+    _attachToViewport() { }
+    /** Column repeaters don't attach to the viewport so there is nothing to detach. */
+    _detachFromViewport() { }
+}
+CdkVirtualColumnForOf.decorators = [
+    { type: Directive, args: [{
+                selector: '[cdkVirtualColumnFor][cdkVirtualColumnForOf]',
+                providers: [
+                    { provide: _VIEW_REPEATER_STRATEGY, useClass: _RecycleViewRepeaterStrategy },
+                ]
+            },] }
+];
+CdkVirtualColumnForOf.propDecorators = {
+    cdkVirtualColumnForOf: [{ type: Input }],
+    cdkVirtualColumnForTrackBy: [{ type: Input }],
+    cdkVirtualColumnForTemplate: [{ type: Input }],
+    cdkVirtualColumnForTemplateCacheSize: [{ type: Input }]
+};
+
 /**
  * @license
  * Copyright Google LLC All Rights Reserved.
@@ -1315,12 +2063,18 @@ ScrollingModule.decorators = [
                 exports: [
                     BidiModule,
                     CdkScrollableModule,
+                    CdkAutoSizeVirtualScroll,
+                    CdkFixedSizeVirtualGrid,
                     CdkFixedSizeVirtualScroll,
+                    CdkVirtualColumnForOf,
                     CdkVirtualForOf,
                     CdkVirtualScrollViewport,
                 ],
                 declarations: [
+                    CdkAutoSizeVirtualScroll,
+                    CdkFixedSizeVirtualGrid,
                     CdkFixedSizeVirtualScroll,
+                    CdkVirtualColumnForOf,
                     CdkVirtualForOf,
                     CdkVirtualScrollViewport,
                 ],
@@ -1347,5 +2101,5 @@ ScrollingModule.decorators = [
  * Generated bundle index. Do not edit.
  */
 
-export { CdkFixedSizeVirtualScroll, CdkScrollable, CdkScrollableModule, CdkVirtualForOf, CdkVirtualScrollViewport, DEFAULT_RESIZE_TIME, DEFAULT_SCROLL_TIME, FixedSizeVirtualScrollStrategy, ScrollDispatcher, ScrollingModule, VIRTUAL_SCROLL_STRATEGY, ViewportRuler, _fixedSizeVirtualScrollStrategyFactory };
+export { AutoSizeVirtualScrollStrategy, CdkAutoSizeVirtualScroll, CdkFixedSizeVirtualGrid, CdkFixedSizeVirtualScroll, CdkScrollable, CdkScrollableModule, CdkVirtualColumnForOf, CdkVirtualForOf, CdkVirtualScrollViewport, DEFAULT_RESIZE_TIME, DEFAULT_SCROLL_TIME, FixedSizeVirtualGridStrategy, FixedSizeVirtualScrollStrategy, ScrollDispatcher, ScrollingModule, VIRTUAL_SCROLL_STRATEGY, ViewportRuler, _autoSizeVirtualScrollStrategyFactory, _fixedSizeVirtualGridStrategyFactory, _fixedSizeVirtualScrollStrategyFactory };
 //# sourceMappingURL=scrolling.js.map
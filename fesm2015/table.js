@@ -1,13 +1,13 @@
 import { Directionality } from '@angular/cdk/bidi';
-import { coerceBooleanProperty } from '@angular/cdk/coercion';
+import { coerceBooleanProperty, coerceNumberProperty } from '@angular/cdk/coercion';
 import { _VIEW_REPEATER_STRATEGY, _RecycleViewRepeaterStrategy, isDataSource, _DisposeViewRepeaterStrategy } from '@angular/cdk/collections';
 export { DataSource } from '@angular/cdk/collections';
 import { Platform } from '@angular/cdk/platform';
-import { ViewportRuler, ScrollingModule } from '@angular/cdk/scrolling';
+import { CdkVirtualScrollViewport, ViewportRuler, ScrollingModule } from '@angular/cdk/scrolling';
 import { DOCUMENT } from '@angular/common';
-import { InjectionToken, Directive, TemplateRef, Inject, Optional, Input, ContentChild, ElementRef, Injectable, NgZone, IterableDiffers, ViewContainerRef, Component, ChangeDetectionStrategy, ViewEncapsulation, EmbeddedViewRef, ChangeDetectorRef, Attribute, SkipSelf, ViewChild, ContentChildren, NgModule } from '@angular/core';
-import { Subject, from, BehaviorSubject, isObservable, of } from 'rxjs';
-import { takeUntil, take } from 'rxjs/operators';
+import { InjectionToken, Directive, TemplateRef, Inject, Optional, Input, ContentChild, ElementRef, Self, Injectable, NgZone, IterableDiffers, ViewContainerRef, Component, ChangeDetectionStrategy, ViewEncapsulation, EmbeddedViewRef, ChangeDetectorRef, Attribute, SkipSelf, ViewChild, ContentChildren, NgModule } from '@angular/core';
+import { Subject, Subscription, from, BehaviorSubject, isObservable, of } from 'rxjs';
+import { startWith, takeUntil, take } from 'rxjs/operators';
 
 /**
  * @license
@@ -64,6 +64,13 @@ function mixinHasStickyInput(base) {
 const CDK_TABLE = new InjectionToken('CDK_TABLE');
 /** Injection token that can be used to specify the text column options. */
 const TEXT_COLUMN_OPTIONS = new InjectionToken('text-column-options');
+/**
+ * Injection token that can be used by a resizable element, like `CdkResizable` from
+ * `@angular/cdk/drag-drop`, to provide itself to the header cell that it is placed on, so that
+ * the width of the entire column is changed along with it. Used to avoid a dependency from the
+ * table on the packages that can resize its cells.
+ */
+const CDK_TABLE_RESIZABLE = new InjectionToken('CDK_TABLE_RESIZABLE');
 
 /**
  * @license
@@ -131,6 +138,12 @@ class CdkColumnDef extends _CdkColumnDefBase {
         super();
         this._table = _table;
         this._stickyEnd = false;
+        this._width = null;
+        /**
+         * Emits when the width of the column changes.
+         * @docs-private
+         */
+        this._widthChanges = new Subject();
     }
     /** Unique name for this column. */
     get name() { return this._name; }
@@ -148,6 +161,21 @@ class CdkColumnDef extends _CdkColumnDefBase {
         this._stickyEnd = coerceBooleanProperty(v);
         this._hasStickyChanged = prevValue !== this._stickyEnd;
     }
+    /**
+     * Width of the column in pixels. Gets applied to all of the column's cells, so whether it
+     * includes their padding and borders depends on their `box-sizing`. Useful for columns whose
+     * width can be changed by the user, e.g. through `cdkResizable`.
+     */
+    get width() {
+        return this._width;
+    }
+    set width(value) {
+        const width = value == null ? null : coerceNumberProperty(value);
+        if (width !== this._width) {
+            this._width = width;
+            this._widthChanges.next(width);
+        }
+    }
     /**
      * Overridable method that sets the css classes that will be added to every cell in this
      * column.
@@ -187,11 +215,15 @@ CdkColumnDef.ctorParameters = () => [
 CdkColumnDef.propDecorators = {
     name: [{ type: Input, args: ['cdkColumnDef',] }],
     stickyEnd: [{ type: Input, args: ['stickyEnd',] }],
+    width: [{ type: Input, args: ['cdkColumnDefWidth',] }],
     cell: [{ type: ContentChild, args: [CdkCellDef,] }],
     headerCell: [{ type: ContentChild, args: [CdkHeaderCellDef,] }],
     footerCell: [{ type: ContentChild, args: [CdkFooterCellDef,] }]
 };
-/** Base class for the cells. Adds a CSS classname that identifies the column it renders in. */
+/**
+ * Base class for the cells. Adds a CSS classname that identifies the column it renders in
+ * and keeps the cell's width in sync with the width of the column.
+ */
 class BaseCdkCell {
     constructor(columnDef, elementRef) {
         // If IE 11 is dropped before we switch to setting a single class name, change to multi param
@@ -200,12 +232,56 @@ class BaseCdkCell {
         for (const className of columnDef._columnCssClassName) {
             classList.add(className);
         }
+        // The width is set through `min-width` and `max-width` as well, so that it also applies to
+        // cells that are laid out using flexbox. The styles are left alone until a width is set and
+        // are restored to whatever they were before, if the width is cleared later on.
+        const style = elementRef.nativeElement.style;
+        let initialStyles = null;
+        this._widthSubscription = columnDef._widthChanges.pipe(startWith(columnDef.width))
+            .subscribe(width => {
+            if (width != null) {
+                initialStyles = initialStyles ||
+                    { width: style.width, minWidth: style.minWidth, maxWidth: style.maxWidth };
+                style.width = style.minWidth = style.maxWidth = `${width}px`;
+            }
+            else if (initialStyles) {
+                style.width = initialStyles.width;
+                style.minWidth = initialStyles.minWidth;
+                style.maxWidth = initialStyles.maxWidth;
+                initialStyles = null;
+            }
+        });
+    }
+    ngOnDestroy() {
+        this._widthSubscription.unsubscribe();
     }
 }
 /** Header cell template container that adds the right classes and role. */
 class CdkHeaderCell extends BaseCdkCell {
-    constructor(columnDef, elementRef) {
+    constructor(columnDef, elementRef, resizable) {
         super(columnDef, elementRef);
+        /** Subscription to the resize events of the cell. */
+        this._resizeSubscription = Subscription.EMPTY;
+        // Only header cells are supported, in order to avoid resizing
+        // the entire column when a resizable element is inside one of its cells.
+        if (resizable) {
+            this._resizeSubscription = resizable.resized.subscribe(() => {
+                // Use the width that was applied to the cell, rather than the measured one, so that the
+                // rest of the cells end up with the same width, regardless of their `box-sizing`.
+                const width = parseFloat(elementRef.nativeElement.style.width);
+                if (!isNaN(width)) {
+                    columnDef.width = width;
+                    // Sticky columns are positioned based on the widths of the columns before them.
+                    if (columnDef._table) {
+                        columnDef._table.updateStickyColumnStyles();
+                    }
+                }
+            });
+        }
+    }
+    ngOnDestroy() {
+        super.ngOnDestroy();
+        this._resizeSubscription.unsubscribe();
     }
 }
 CdkHeaderCell.decorators = [
@@ -219,7 +295,8 @@ CdkHeaderCell.decorators = [
 ];
 CdkHeaderCell.ctorParameters = () => [
     { type: CdkColumnDef },
-    { type: ElementRef }
+    { type: ElementRef },
+    { type: undefined, decorators: [{ type: Optional }, { type: Self }, { type: Inject, args: [CDK_TABLE_RESIZABLE,] }] }
 ];
 /** Footer cell template container that adds the right classes and role. */
 class CdkFooterCell extends BaseCdkCell {
@@ -989,6 +1066,14 @@ function getTableTextColumnMissingParentTableError() {
 function getTableTextColumnMissingNameError() {
     return Error(`Table text column must have a name.`);
 }
+/**
+ * Returns an error to be thrown when the virtual scroll viewport attempts to measure rows of
+ * a table that aren't currently rendered.
+ * @docs-private
+ */
+function getTableUnrenderedRowMeasureError() {
+    return Error(`Attempted to measure a table row that isn't rendered.`);
+}
 
 /**
  * @license
@@ -1021,6 +1106,27 @@ CdkRecycleRows.decorators = [
                 ],
             },] }
 ];
+/**
+ * Injection token used to provide the virtual scroll viewport in which a table should only render
+ * the rows that are in view.
+ * @docs-private
+ */
+const _TABLE_VIRTUAL_SCROLL_VIEWPORT = new InjectionToken('_TABLE_VIRTUAL_SCROLL_VIEWPORT');
+/**
+ * Enables virtual scrolling for a table that is placed inside of a `cdk-virtual-scroll-viewport`.
+ * Only the rows within the viewport's rendered range will be rendered. Can be combined with
+ * `recycleRows` to re-use the rows that are scrolled out of view.
+ */
+class CdkTableVirtualScroll {
+}
+CdkTableVirtualScroll.decorators = [
+    { type: Directive, args: [{
+                selector: 'cdk-table[virtualScroll], table[cdk-table][virtualScroll]',
+                providers: [
+                    { provide: _TABLE_VIRTUAL_SCROLL_VIEWPORT, useExisting: CdkVirtualScrollViewport },
+                ],
+            },] }
+];
 /**
  * Provides a handle for the table to grab the view container's ng-container to insert data rows.
  * @docs-private
@@ -1124,7 +1230,12 @@ class CdkTable {
      * @deprecated `_stickyPositioningListener` parameter to become required.
      * @breaking-change 13.0.0
      */
-    _stickyPositioningListener) {
+    _stickyPositioningListener, 
+    /**
+     * @deprecated `_ngZone` parameter to become required.
+     * @breaking-change 14.0.0
+     */
+    _ngZone, _virtualScrollViewport) {
         this._differs = _differs;
         this._changeDetectorRef = _changeDetectorRef;
         this._elementRef = _elementRef;
@@ -1134,8 +1245,20 @@ class CdkTable {
         this._coalescedStyleScheduler = _coalescedStyleScheduler;
         this._viewportRuler = _viewportRuler;
         this._stickyPositioningListener = _stickyPositioningListener;
+        this._ngZone = _ngZone;
+        this._virtualScrollViewport = _virtualScrollViewport;
         /** Subject that emits when the component has been destroyed. */
         this._onDestroy = new Subject();
+        /**
+         * List of all the rows for the table's data as identified by their `RenderRow` object. Only
+         * differs from `_renderRows` when virtual scrolling, in which case the rows outside of the
+         * viewport's rendered range aren't rendered.
+         */
+        this._allRenderRows = [];
+        /** Range of render rows that should be rendered. Only set when virtual scrolling. */
+        this._renderedRange = null;
+        /** Emits the list of all render rows to the virtual scroll viewport. */
+        this._virtualScrollDataStream = new Subject();
         /**
          * Map of all the user's defined columns (header, data, and footer cell template) identified by
          * name. Collection populated by the column definitions gathered by `ContentChildren` as well as
@@ -1319,6 +1442,9 @@ class CdkTable {
         this._viewportRuler.change().pipe(takeUntil(this._onDestroy)).subscribe(() => {
             this._forceRecalculateCellWidths = true;
         });
+        if (this._virtualScrollViewport) {
+            this._setupVirtualScrolling(this._virtualScrollViewport);
+        }
     }
     ngAfterContentChecked() {
         // Cache the row and column definitions gathered by ContentChildren and programmatic injection.
@@ -1363,6 +1489,10 @@ class CdkTable {
         this._headerRowOutlet.viewContainer.clear();
         this._footerRowOutlet.viewContainer.clear();
         this._cachedRenderRowsMap.clear();
+        if (this._virtualScrollViewport) {
+            this._virtualScrollViewport.detach();
+        }
+        this._virtualScrollDataStream.complete();
         this._onDestroy.next();
         this._onDestroy.complete();
         if (isDataSource(this.dataSource)) {
@@ -1380,28 +1510,12 @@ class CdkTable {
      * an array, this function will need to be called to render any changes.
      */
     renderRows() {
-        this._renderRows = this._getAllRenderRows();
-        const changes = this._dataDiffer.diff(this._renderRows);
-        if (!changes) {
-            this._updateNoDataRow();
-            return;
+        this._allRenderRows = this._getAllRenderRows();
+        // Let the viewport know about the new set of rows so that it can recalculate its range.
+        if (this._virtualScrollViewport) {
+            this._virtualScrollDataStream.next(this._allRenderRows);
         }
-        const viewContainer = this._rowOutlet.viewContainer;
-        this._viewRepeater.applyChanges(changes, viewContainer, (record, _adjustedPreviousIndex, currentIndex) => this._getEmbeddedViewArgs(record.item, currentIndex), (record) => record.item.data, (change) => {
-            if (change.operation === 1 /* INSERTED */ && change.context) {
-                this._renderCellTemplateForItem(change.record.item.rowDef, change.context);
-            }
-        });
-        // Update the meta context of a row's context data (index, count, first, last, ...)
-        this._updateRowIndexContext();
-        // Update rows that did not get added/removed/moved but may have had their identity changed,
-        // e.g. if trackBy matched data on some property but the actual data reference changed.
-        changes.forEachIdentityChange((record) => {
-            const rowView = viewContainer.get(record.currentIndex);
-            rowView.context.$implicit = record.item.data;
-        });
-        this._updateNoDataRow();
-        this.updateStickyColumnStyles();
+        this._renderRowsInRange();
     }
     /** Adds a column definition that was not included as part of the content children. */
     addColumnDef(columnDef) {
@@ -1534,6 +1648,96 @@ class CdkTable {
         // Reset the dirty state of the sticky input change since it has been used.
         Array.from(this._columnDefsByName.values()).forEach(def => def.resetStickyChanged());
     }
+    /**
+     * Renders the rows within the current rendered range. If the table isn't virtual scrolling,
+     * all of the rows are rendered. Checks for differences since the last render to perform only
+     * the necessary changes (add/remove/move rows).
+     */
+    _renderRowsInRange() {
+        const range = this._renderedRange;
+        this._renderRows =
+            range ? this._allRenderRows.slice(range.start, range.end) : this._allRenderRows;
+        const changes = this._dataDiffer.diff(this._renderRows);
+        if (!changes) {
+            this._updateNoDataRow();
+            return;
+        }
+        const viewContainer = this._rowOutlet.viewContainer;
+        this._viewRepeater.applyChanges(changes, viewContainer, (record, _adjustedPreviousIndex, currentIndex) => this._getEmbeddedViewArgs(record.item, currentIndex), (record) => record.item.data, (change) => {
+            if (change.operation === 1 /* INSERTED */ && change.context) {
+                this._renderCellTemplateForItem(change.record.item.rowDef, change.context);
+            }
+        });
+        // Update the meta context of a row's context data (index, count, first, last, ...)
+        this._updateRowIndexContext();
+        // Update rows that did not get added/removed/moved but may have had their identity changed,
+        // e.g. if trackBy matched data on some property but the actual data reference changed.
+        changes.forEachIdentityChange((record) => {
+            const rowView = viewContainer.get(record.currentIndex);
+            rowView.context.$implicit = record.item.data;
+        });
+        this._updateNoDataRow();
+        this.updateStickyColumnStyles();
+    }
+    /**
+     * Connects the table to a virtual scroll viewport so that only the rows within the viewport's
+     * rendered range are rendered.
+     */
+    _setupVirtualScrolling(viewport) {
+        this._renderedRange = viewport.getRenderedRange();
+        // The viewport emits its rendered range outside of the NgZone.
+        viewport.renderedRangeStream.pipe(takeUntil(this._onDestroy)).subscribe(range => {
+            const update = () => {
+                this._renderedRange = range;
+                this.viewChange.next(this._getDataRange(range));
+                // If the rows haven't been rendered yet, the range will be picked up on the first render.
+                if (this._renderRows) {
+                    this._renderRowsInRange();
+                }
+            };
+            this._ngZone ? this._ngZone.run(update) : update();
+        });
+        viewport.attach({
+            dataStream: this._virtualScrollDataStream,
+            measureRangeSize: (range, orientation) => this._measureRenderedRowsSize(range, orientation),
+            getItemKey: index => this._allRenderRows[index],
+        });
+    }
+    /**
+     * Measures the combined size (width for horizontal orientation, height for vertical) of the
+     * rendered rows within the specified range of render rows. Used by the virtual scroll viewport.
+     */
+    _measureRenderedRowsSize(range, orientation) {
+        const renderedRange = this._renderedRange;
+        if (!renderedRange || range.start >= range.end) {
+            return 0;
+        }
+        if ((range.start < renderedRange.start || range.end > renderedRange.end) &&
+            (typeof ngDevMode === 'undefined' || ngDevMode)) {
+            throw getTableUnrenderedRowMeasureError();
+        }
+        const rows = this._getRenderedRows(this._rowOutlet);
+        const firstRow = rows[range.start - renderedRange.start];
+        const lastRow = rows[range.end - renderedRange.start - 1];
+        if (!firstRow || !lastRow) {
+            return 0;
+        }
+        const firstRect = firstRow.getBoundingClientRect();
+        const lastRect = lastRow.getBoundingClientRect();
+        return orientation === 'horizontal' ?
+            lastRect.right - firstRect.left : lastRect.bottom - firstRect.top;
+    }
+    /**
+     * Converts a range of render rows into the range of data objects that they represent. The two
+     * only differ if multiple rows can be rendered for the same data object.
+     */
+    _getDataRange(range) {
+        const rows = this._allRenderRows;
+        if (!this.multiTemplateDataRows || range.start >= range.end || range.end > rows.length) {
+            return range;
+        }
+        return { start: rows[range.start].dataIndex, end: rows[range.end - 1].dataIndex + 1 };
+    }
     /**
      * Get the list of RenderRow objects to render according to the current list of data and defined
      * row definitions. If the previous list already contained a particular pair, it should be reused
@@ -1787,20 +1991,25 @@ class CdkTable {
      */
     _updateRowIndexContext() {
         const viewContainer = this._rowOutlet.viewContainer;
-        for (let renderIndex = 0, count = viewContainer.length; renderIndex < count; renderIndex++) {
-            const viewRef = viewContainer.get(renderIndex);
+        // When virtual scrolling, only a subset of the rows is rendered so the
+        // context has to reflect their position within the list of all rows.
+        const renderIndexOffset = this._renderedRange ? this._renderedRange.start : 0;
+        const count = this._renderedRange ? this._allRenderRows.length : viewContainer.length;
+        for (let i = 0; i < viewContainer.length; i++) {
+            const viewRef = viewContainer.get(i);
             const context = viewRef.context;
+            const renderIndex = renderIndexOffset + i;
             context.count = count;
             context.first = renderIndex === 0;
             context.last = renderIndex === count - 1;
             context.even = renderIndex % 2 === 0;
             context.odd = !context.even;
             if (this.multiTemplateDataRows) {
-                context.dataIndex = this._renderRows[renderIndex].dataIndex;
+                context.dataIndex = this._renderRows[i].dataIndex;
                 context.renderIndex = renderIndex;
             }
             else {
-                context.index = this._renderRows[renderIndex].dataIndex;
+                context.index = this._renderRows[i].dataIndex;
             }
         }
     }
@@ -1892,7 +2101,9 @@ class CdkTable {
     _updateNoDataRow() {
         const noDataRow = this._customNoDataRow || this._noDataRow;
         if (noDataRow) {
-            const shouldShow = this._rowOutlet.viewContainer.length === 0;
+            // When virtual scrolling, the outlet may be empty while the rendered range is being updated.
+            const shouldShow = this._renderedRange ?
+                this._allRenderRows.length === 0 : this._rowOutlet.viewContainer.length === 0;
             if (shouldShow !== this._isShowingNoDataRow) {
                 const container = this._noDataRowOutlet.viewContainer;
                 shouldShow ? container.createEmbeddedView(noDataRow.templateRef) : container.clear();
@@ -1937,7 +2148,9 @@ CdkTable.ctorParameters = () => [
     { type: undefined, decorators: [{ type: Inject, args: [_VIEW_REPEATER_STRATEGY,] }] },
     { type: _CoalescedStyleScheduler, decorators: [{ type: Inject, args: [_COALESCED_STYLE_SCHEDULER,] }] },
     { type: ViewportRuler },
-    { type: undefined, decorators: [{ type: Optional }, { type: SkipSelf }, { type: Inject, args: [STICKY_POSITIONING_LISTENER,] }] }
+    { type: undefined, decorators: [{ type: Optional }, { type: SkipSelf }, { type: Inject, args: [STICKY_POSITIONING_LISTENER,] }] },
+    { type: NgZone, decorators: [{ type: Optional }] },
+    { type: CdkVirtualScrollViewport, decorators: [{ type: Optional }, { type: Self }, { type: Inject, args: [_TABLE_VIRTUAL_SCROLL_VIEWPORT,] }] }
 ];
 CdkTable.propDecorators = {
     trackBy: [{ type: Input }],
@@ -2114,6 +2327,7 @@ const EXPORTED_DECLARATIONS = [
     CdkTextColumn,
     CdkNoDataRow,
     CdkRecycleRows,
+    CdkTableVirtualScroll,
     NoDataRowOutlet,
 ];
 class CdkTableModule {
@@ -2138,5 +2352,5 @@ CdkTableModule.decorators = [
  * Generated bundle index. Do not edit.
  */
 
-export { BaseCdkCell, BaseRowDef, CDK_ROW_TEMPLATE, CDK_TABLE, CDK_TABLE_TEMPLATE, CdkCell, CdkCellDef, CdkCellOutlet, CdkColumnDef, CdkFooterCell, CdkFooterCellDef, CdkFooterRow, CdkFooterRowDef, CdkHeaderCell, CdkHeaderCellDef, CdkHeaderRow, CdkHeaderRowDef, CdkNoDataRow, CdkRecycleRows, CdkRow, CdkRowDef, CdkTable, CdkTableModule, CdkTextColumn, DataRowOutlet, FooterRowOutlet, HeaderRowOutlet, NoDataRowOutlet, STICKY_DIRECTIONS, STICKY_POSITIONING_LISTENER, StickyStyler, TEXT_COLUMN_OPTIONS, _COALESCED_STYLE_SCHEDULER, _CoalescedStyleScheduler, _Schedule, mixinHasStickyInput };
+export { BaseCdkCell, BaseRowDef, CDK_ROW_TEMPLATE, CDK_TABLE, CDK_TABLE_RESIZABLE, CDK_TABLE_TEMPLATE, CdkCell, CdkCellDef, CdkCellOutlet, CdkColumnDef, CdkFooterCell, CdkFooterCellDef, CdkFooterRow, CdkFooterRowDef, CdkHeaderCell, CdkHeaderCellDef, CdkHeaderRow, CdkHeaderRowDef, CdkNoDataRow, CdkRecycleRows, CdkRow, CdkRowDef, CdkTable, CdkTableModule, CdkTableVirtualScroll, CdkTextColumn, DataRowOutlet, FooterRowOutlet, HeaderRowOutlet, NoDataRowOutlet, STICKY_DIRECTIONS, STICKY_POSITIONING_LISTENER, StickyStyler, TEXT_COLUMN_OPTIONS, _COALESCED_STYLE_SCHEDULER, _CoalescedStyleScheduler, _Schedule, _TABLE_VIRTUAL_SCROLL_VIEWPORT, mixinHasStickyInput };
 //# sourceMappingURL=table.js.map
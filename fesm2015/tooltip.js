@@ -0,0 +1,916 @@
+import { Overlay, ScrollDispatcher, OverlayModule } from '@angular/cdk/overlay';
+import { InjectionToken, Directive, ElementRef, NgZone, Component, ViewEncapsulation, ChangeDetectionStrategy, ChangeDetectorRef, ViewContainerRef, Inject, Optional, Input, EventEmitter, Output, NgModule } from '@angular/core';
+import { FocusMonitor, AriaDescriber, A11yModule } from '@angular/cdk/a11y';
+import { Directionality } from '@angular/cdk/bidi';
+import { coerceBooleanProperty, coerceNumberProperty } from '@angular/cdk/coercion';
+import { ESCAPE, hasModifierKey } from '@angular/cdk/keycodes';
+import { normalizePassiveListenerOptions, Platform } from '@angular/cdk/platform';
+import { Subject } from 'rxjs';
+import { takeUntil, filter, take } from 'rxjs/operators';
+import { ComponentPortal, TemplatePortal } from '@angular/cdk/portal';
+import { DOCUMENT } from '@angular/common';
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/** Injection token that can be used to configure the defaults of tooltips and popovers. */
+const CDK_TOOLTIP_DEFAULT_OPTIONS = new InjectionToken('CDK_TOOLTIP_DEFAULT_OPTIONS');
+/** Options that are used when none were provided through `CDK_TOOLTIP_DEFAULT_OPTIONS`. */
+const CDK_TOOLTIP_BASE_DEFAULT_OPTIONS = {
+    showDelay: 0,
+    hideDelay: 0,
+    touchLongPressShowDelay: 500,
+    touchendHideDelay: 1500,
+    hoverIntentSensitivity: 7,
+    hoverIntentInterval: 100,
+    position: 'below',
+};
+/** Injection token that determines the scroll handling while a tooltip or popover is shown. */
+const CDK_TOOLTIP_SCROLL_STRATEGY = new InjectionToken('cdk-tooltip-scroll-strategy');
+/** @docs-private */
+function CDK_TOOLTIP_SCROLL_STRATEGY_PROVIDER_FACTORY(overlay) {
+    return () => overlay.scrollStrategies.reposition({ scrollThrottle: 20 });
+}
+/** @docs-private */
+const CDK_TOOLTIP_SCROLL_STRATEGY_PROVIDER = {
+    provide: CDK_TOOLTIP_SCROLL_STRATEGY,
+    deps: [Overlay],
+    useFactory: CDK_TOOLTIP_SCROLL_STRATEGY_PROVIDER_FACTORY,
+};
+/** Connection points of the panel for each of the direction-independent placements. */
+const CONNECTED_POSITIONS = {
+    above: { originX: 'center', originY: 'top', overlayX: 'center', overlayY: 'bottom' },
+    below: { originX: 'center', originY: 'bottom', overlayX: 'center', overlayY: 'top' },
+    before: { originX: 'start', originY: 'center', overlayX: 'end', overlayY: 'center' },
+    after: { originX: 'end', originY: 'center', overlayX: 'start', overlayY: 'center' },
+};
+/**
+ * Gets the positions in which a panel can be placed, in order of preference. The preferred
+ * placement is followed by the opposite side of the trigger and then by the two remaining sides,
+ * so that the position strategy can fall back to them if the panel doesn't fit.
+ * @param position Preferred placement of the panel.
+ * @param isRtl Whether the trigger is in a right-to-left context.
+ */
+function getTooltipConnectedPositions(position, isRtl) {
+    let placement;
+    if (position === 'left') {
+        placement = isRtl ? 'after' : 'before';
+    }
+    else if (position === 'right') {
+        placement = isRtl ? 'before' : 'after';
+    }
+    else {
+        placement = position;
+    }
+    const order = placement === 'above' ? ['above', 'below', 'after', 'before'] :
+        placement === 'below' ? ['below', 'above', 'after', 'before'] :
+            placement === 'before' ? ['before', 'after', 'below', 'above'] :
+                ['after', 'before', 'below', 'above'];
+    return order.map(current => CONNECTED_POSITIONS[current]);
+}
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * Tracks the pointer while it is over an element and reports once it has slowed down enough to
+ * indicate that the user intends to interact with the element, rather than passing over it.
+ * @docs-private
+ */
+class HoverIntent {
+    constructor(_element, _ngZone) {
+        this._element = _element;
+        this._ngZone = _ngZone;
+        /** Most recent coordinates of the pointer. */
+        this._current = { x: 0, y: 0 };
+        /** Coordinates of the pointer at the previous sample. */
+        this._previous = { x: 0, y: 0 };
+        /** ID of the timeout for the next sample. */
+        this._timeoutId = null;
+        /** Removes the `mousemove` listener from the element. */
+        this._removeMoveListener = null;
+    }
+    /**
+     * Starts tracking the pointer, replacing any tracking that was in progress.
+     * @param event Event that started the hover, usually `mouseenter`.
+     * @param sensitivity Distance in pixels that the pointer can travel within one interval
+     *    while still being considered to be resting on the element.
+     * @param interval Interval in milliseconds at which the pointer's speed is sampled.
+     * @param callback Invoked inside the NgZone once the pointer has slowed down.
+     */
+    track(event, sensitivity, interval, callback) {
+        this.stop();
+        if (interval <= 0) {
+            callback();
+            return;
+        }
+        this._current = this._previous = { x: event.clientX, y: event.clientY };
+        this._ngZone.runOutsideAngular(() => {
+            const listener = (moveEvent) => {
+                this._current = { x: moveEvent.clientX, y: moveEvent.clientY };
+            };
+            this._element.addEventListener('mousemove', listener);
+            this._removeMoveListener = () => this._element.removeEventListener('mousemove', listener);
+            this._scheduleSample(sensitivity, interval, callback);
+        });
+    }
+    /** Stops tracking the pointer without invoking the callback. */
+    stop() {
+        if (this._timeoutId !== null) {
+            clearTimeout(this._timeoutId);
+            this._timeoutId = null;
+        }
+        if (this._removeMoveListener) {
+            this._removeMoveListener();
+            this._removeMoveListener = null;
+        }
+    }
+    /** Compares the pointer's position after one interval to its previous position. */
+    _scheduleSample(sensitivity, interval, callback) {
+        this._timeoutId = setTimeout(() => {
+            const current = this._current;
+            const previous = this._previous;
+            if (Math.abs(current.x - previous.x) + Math.abs(current.y - previous.y) < sensitivity) {
+                this.stop();
+                this._ngZone.run(callback);
+            }
+            else {
+                this._previous = current;
+                this._scheduleSample(sensitivity, interval, callback);
+            }
+        }, interval);
+    }
+}
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/** Options for the listeners that are bound to the trigger. */
+const passiveListenerOptions = normalizePassiveListenerOptions({ passive: true });
+/** Distance in pixels between the panel and the edges of the viewport. */
+const VIEWPORT_MARGIN = 8;
+/** Minimum distance in pixels between the arrow of the panel and its corners. */
+const ARROW_PADDING = 4;
+/** Distance in pixels that a touch can move before it no longer counts as a long press. */
+const LONG_PRESS_MOVE_THRESHOLD = 10;
+/**
+ * Abstract directive that implements the behavior shared by `CdkTooltip` and `CdkPopover`:
+ * showing and hiding a panel in an overlay after a delay, hover intent, touch long-presses,
+ * dismissal through the escape key and placement through a `FlexibleConnectedPositionStrategy`
+ * which falls back to the other sides of the trigger if the panel doesn't fit. An element with
+ * the `cdk-tooltip-arrow` or `cdk-popover-arrow` class inside of the panel is positioned
+ * such that it points towards the center of the trigger.
+ */
+class CdkTooltipBase {
+    constructor(_overlay, _elementRef, _ngZone, _scrollDispatcher, _platform, _focusMonitor, scrollStrategy, document, _dir, defaultOptions) {
+        this._overlay = _overlay;
+        this._elementRef = _elementRef;
+        this._ngZone = _ngZone;
+        this._scrollDispatcher = _scrollDispatcher;
+        this._platform = _platform;
+        this._focusMonitor = _focusMonitor;
+        this._dir = _dir;
+        this._disabled = false;
+        this._panelClass = [];
+        /** Reference to the overlay that renders the panel, once it has been created. */
+        this._overlayRef = null;
+        /** Emits when the trigger is destroyed. */
+        this._destroyed = new Subject();
+        /** ID of the timeout after which the panel is shown. */
+        this._showTimeoutId = null;
+        /** ID of the timeout after which the panel is hidden. */
+        this._hideTimeoutId = null;
+        /** ID of the timeout after which a touch counts as a long press. */
+        this._longPressTimeoutId = null;
+        /** Coordinates at which the current touch started. */
+        this._touchStartPosition = null;
+        /** Class that reflects the side of the trigger on which the panel was placed. */
+        this._placementClass = null;
+        /** Listeners that have been bound to the trigger. */
+        this._triggerListeners = [];
+        this._scrollStrategy = scrollStrategy;
+        this._document = document;
+        this._defaultOptions = Object.assign(Object.assign({}, CDK_TOOLTIP_BASE_DEFAULT_OPTIONS), defaultOptions);
+        this._position = this._defaultOptions.position;
+        this._showDelay = this._defaultOptions.showDelay;
+        this._hideDelay = this._defaultOptions.hideDelay;
+        this._hoverIntent = new HoverIntent(_elementRef.nativeElement, _ngZone);
+    }
+    /** Placement of the panel relative to the trigger. */
+    get position() { return this._position; }
+    set position(value) {
+        if (value !== this._position) {
+            this._position = value;
+            if (this._overlayRef) {
+                this._updatePosition(this._overlayRef);
+                this._overlayRef.updatePosition();
+            }
+        }
+    }
+    /** Whether the trigger is disabled. Disabled triggers don't show their panel. */
+    get disabled() { return this._disabled; }
+    set disabled(value) {
+        this._disabled = coerceBooleanProperty(value);
+        if (this._disabled) {
+            this.hide(0);
+        }
+    }
+    /** Time in milliseconds between the user pointing at the trigger and the panel showing. */
+    get showDelay() { return this._showDelay; }
+    set showDelay(value) {
+        this._showDelay = coerceNumberProperty(value);
+    }
+    /** Time in milliseconds between the user leaving the trigger and the panel hiding. */
+    get hideDelay() { return this._hideDelay; }
+    set hideDelay(value) {
+        this._hideDelay = coerceNumberProperty(value);
+    }
+    /** Classes to be added to the overlay pane that renders the panel. */
+    get panelClass() { return this._panelClass; }
+    set panelClass(value) {
+        if (this._overlayRef) {
+            this._overlayRef.removePanelClass(this._panelClass);
+            this._overlayRef.addPanelClass(value);
+        }
+        this._panelClass = value;
+    }
+    ngAfterViewInit() {
+        this._bindTriggerListeners();
+        this._focusMonitor.monitor(this._elementRef)
+            .pipe(takeUntil(this._destroyed))
+            .subscribe(origin => {
+            if (!this._showsOnHoverAndFocus()) {
+                return;
+            }
+            // Only keyboard focus shows the panel, because pointer users
+            // see the panel when they hover over the trigger.
+            if (!origin) {
+                this._hideIfFocusLeft();
+            }
+            else if (origin === 'keyboard') {
+                this.show();
+            }
+        });
+    }
+    ngOnDestroy() {
+        const element = this._elementRef.nativeElement;
+        this._clearShowTimeout();
+        this._clearHideTimeout();
+        this._clearLongPressTimeout();
+        this._hoverIntent.stop();
+        this._triggerListeners.forEach(([event, listener]) => {
+            element.removeEventListener(event, listener, passiveListenerOptions);
+        });
+        this._triggerListeners.length = 0;
+        this._focusMonitor.stopMonitoring(element);
+        if (this._overlayRef) {
+            this._overlayRef.dispose();
+            this._overlayRef = null;
+        }
+        this._destroyed.next();
+        this._destroyed.complete();
+    }
+    /** Whether the panel is currently shown. */
+    isShown() {
+        return !!this._overlayRef && this._overlayRef.hasAttached();
+    }
+    /**
+     * Shows the panel after a delay.
+     * @param delay Time in milliseconds after which to show the panel.
+     */
+    show(delay = this.showDelay) {
+        if (this.disabled || !this._hasContent()) {
+            return;
+        }
+        this._clearHideTimeout();
+        if (this.isShown()) {
+            return;
+        }
+        if (delay > 0) {
+            if (this._showTimeoutId === null) {
+                this._showTimeoutId = setTimeout(() => {
+                    this._showTimeoutId = null;
+                    this._attach();
+                }, delay);
+            }
+        }
+        else {
+            this._clearShowTimeout();
+            this._attach();
+        }
+    }
+    /**
+     * Hides the panel after a delay.
+     * @param delay Time in milliseconds after which to hide the panel.
+     */
+    hide(delay = this.hideDelay) {
+        this._clearShowTimeout();
+        this._hoverIntent.stop();
+        if (!this.isShown()) {
+            return;
+        }
+        if (delay > 0) {
+            if (this._hideTimeoutId === null) {
+                this._hideTimeoutId = setTimeout(() => {
+                    this._hideTimeoutId = null;
+                    this._detach();
+                }, delay);
+            }
+        }
+        else {
+            this._clearHideTimeout();
+            this._detach();
+        }
+    }
+    /** Shows the panel if it is hidden and hides it if it is shown, without a delay. */
+    toggle() {
+        this.isShown() ? this.hide(0) : this.show(0);
+    }
+    /** Updates the position of the panel, e.g. after its content has changed. */
+    updatePosition() {
+        if (this._overlayRef) {
+            this._overlayRef.updatePosition();
+        }
+    }
+    /** Invoked once the overlay that renders the panel has been created. */
+    _onOverlayCreated(_overlayRef) { }
+    /** Invoked once the panel has been hidden. */
+    _onDetached() { }
+    /** Handles the user pressing the escape key while the panel is shown. */
+    _handleEscape() {
+        this.hide(0);
+    }
+    /** Whether a node is inside of the overlay pane that renders the panel. */
+    _isInsidePanel(node) {
+        return !!node && !!this._overlayRef && this._overlayRef.overlayElement.contains(node);
+    }
+    /** Renders the panel inside of the overlay. */
+    _attach() {
+        const overlayRef = this._getOverlayRef();
+        // The direction may have changed since the panel was shown the last time.
+        this._updatePosition(overlayRef);
+        this._attachContent(overlayRef);
+    }
+    /** Removes the panel from the overlay. */
+    _detach() {
+        if (this.isShown()) {
+            this._overlayRef.detach();
+        }
+    }
+    /** Gets the overlay that renders the panel, creating it if it doesn't exist yet. */
+    _getOverlayRef() {
+        if (this._overlayRef) {
+            return this._overlayRef;
+        }
+        const scrollableAncestors = this._scrollDispatcher.getAncestorScrollContainers(this._elementRef);
+        const positionStrategy = this._overlay.position()
+            .flexibleConnectedTo(this._elementRef)
+            .withFlexibleDimensions(false)
+            .withViewportMargin(VIEWPORT_MARGIN)
+            .withScrollableContainers(scrollableAncestors)
+            .withArrowOn(`.${this._classPrefix}-arrow`, ARROW_PADDING);
+        positionStrategy.positionChanges.pipe(takeUntil(this._destroyed)).subscribe(change => {
+            this._updatePlacementClass(change.connectionPair);
+            // The panel would otherwise be left floating on its own once
+            // the trigger has been scrolled out of one of its containers.
+            if (change.scrollableViewProperties.isOverlayClipped && this.isShown()) {
+                this._ngZone.run(() => this.hide(0));
+            }
+        });
+        const overlayRef = this._overlayRef = this._overlay.create({
+            direction: this._dir,
+            positionStrategy,
+            panelClass: this._panelClass,
+            scrollStrategy: this._scrollStrategy(),
+        });
+        overlayRef.addPanelClass(`${this._classPrefix}-panel`);
+        overlayRef.detachments().pipe(takeUntil(this._destroyed)).subscribe(() => this._onDetached());
+        overlayRef.keydownEvents()
+            .pipe(filter(event => event.keyCode === ESCAPE && !hasModifierKey(event)), takeUntil(this._destroyed))
+            .subscribe(event => {
+            event.preventDefault();
+            event.stopPropagation();
+            this._ngZone.run(() => this._handleEscape());
+        });
+        this._bindPanelListeners(overlayRef.overlayElement);
+        this._onOverlayCreated(overlayRef);
+        return overlayRef;
+    }
+    /** Updates the positions in which the panel can be placed. */
+    _updatePosition(overlayRef) {
+        const strategy = overlayRef.getConfig().positionStrategy;
+        strategy.withPositions(getTooltipConnectedPositions(this.position, this._isRtl()));
+    }
+    /** Adds a class to the overlay pane which reflects the side on which the panel was placed. */
+    _updatePlacementClass(pair) {
+        let placement;
+        if (pair.originY === 'top' && pair.overlayY === 'bottom') {
+            placement = 'above';
+        }
+        else if (pair.originY === 'bottom' && pair.overlayY === 'top') {
+            placement = 'below';
+        }
+        else {
+            placement = (pair.overlayX === 'end') !== this._isRtl() ? 'left' : 'right';
+        }
+        const placementClass = `${this._classPrefix}-panel-${placement}`;
+        if (this._overlayRef && placementClass !== this._placementClass) {
+            if (this._placementClass) {
+                this._overlayRef.removePanelClass(this._placementClass);
+            }
+            this._overlayRef.addPanelClass(placementClass);
+            this._placementClass = placementClass;
+        }
+    }
+    /** Binds the pointer listeners that show and hide the panel to the trigger. */
+    _bindTriggerListeners() {
+        const element = this._elementRef.nativeElement;
+        // Touch devices emulate mouse events after a touch, which would interfere
+        // with the long press, so only one of the two kinds of listeners is bound.
+        if (this._platformSupportsMouseEvents()) {
+            this._triggerListeners.push(['mouseenter', event => this._handleMouseenter(event)], ['mouseleave', event => this._handleMouseleave(event)]);
+        }
+        else {
+            this._disableNativeGesturesIfNecessary();
+            this._triggerListeners.push(['touchstart', event => this._handleTouchstart(event)], ['touchmove', event => this._handleTouchmove(event)], ['touchend', () => this._handleTouchend()], ['touchcancel', () => this._handleTouchend()]);
+        }
+        this._ngZone.runOutsideAngular(() => {
+            this._triggerListeners.forEach(([event, listener]) => {
+                element.addEventListener(event, listener, passiveListenerOptions);
+            });
+        });
+    }
+    /**
+     * Binds the listeners which keep the panel shown while the user interacts with it,
+     * allowing them to move the pointer or focus from the trigger to the panel.
+     */
+    _bindPanelListeners(pane) {
+        this._ngZone.runOutsideAngular(() => {
+            pane.addEventListener('mouseenter', () => {
+                if (this._showsOnHoverAndFocus()) {
+                    this._clearHideTimeout();
+                }
+            });
+            pane.addEventListener('mouseleave', event => {
+                const target = event.relatedTarget;
+                if (this._showsOnHoverAndFocus() && !this._elementRef.nativeElement.contains(target)) {
+                    this._ngZone.run(() => this.hide());
+                }
+            });
+            pane.addEventListener('focusout', () => {
+                if (this._showsOnHoverAndFocus()) {
+                    this._hideIfFocusLeft();
+                }
+            });
+        });
+    }
+    /** Handles the pointer entering the trigger. */
+    _handleMouseenter(event) {
+        if (this.disabled || !this._showsOnHoverAndFocus()) {
+            return;
+        }
+        // The user is coming back from the panel so there's no need to wait.
+        if (this.isShown()) {
+            this._clearHideTimeout();
+            return;
+        }
+        const { hoverIntentSensitivity, hoverIntentInterval } = this._defaultOptions;
+        this._hoverIntent.track(event, hoverIntentSensitivity, hoverIntentInterval, () => {
+            this.show();
+        });
+    }
+    /** Handles the pointer leaving the trigger. */
+    _handleMouseleave(event) {
+        this._hoverIntent.stop();
+        if (this._showsOnHoverAndFocus() && !this._isInsidePanel(event.relatedTarget)) {
+            this._ngZone.run(() => this.hide());
+        }
+    }
+    /** Handles the user touching the trigger. */
+    _handleTouchstart(event) {
+        if (this.disabled || !this._showsOnHoverAndFocus()) {
+            return;
+        }
+        const touch = event.touches[0];
+        this._touchStartPosition = touch ? { x: touch.clientX, y: touch.clientY } : null;
+        this._clearLongPressTimeout();
+        this._longPressTimeoutId = setTimeout(() => {
+            this._longPressTimeoutId = null;
+            this._ngZone.run(() => this.show(0));
+        }, this._defaultOptions.touchLongPressShowDelay);
+    }
+    /** Cancels the long press if the user starts scrolling. */
+    _handleTouchmove(event) {
+        const start = this._touchStartPosition;
+        const touch = event.touches[0];
+        if (start && touch && Math.abs(touch.clientX - start.x) +
+            Math.abs(touch.clientY - start.y) > LONG_PRESS_MOVE_THRESHOLD) {
+            this._clearLongPressTimeout();
+        }
+    }
+    /** Handles the user lifting their finger from the trigger. */
+    _handleTouchend() {
+        this._touchStartPosition = null;
+        this._clearLongPressTimeout();
+        if (this.isShown()) {
+            this._ngZone.run(() => this.hide(this._defaultOptions.touchendHideDelay));
+        }
+    }
+    /**
+     * Hides the panel once focus has left both the trigger and the panel. Waits for focus to land
+     * on its new target first, because it may be moving between the trigger and the panel.
+     */
+    _hideIfFocusLeft() {
+        Promise.resolve().then(() => {
+            const activeElement = this._document.activeElement;
+            if (!this._elementRef.nativeElement.contains(activeElement) &&
+                !this._isInsidePanel(activeElement)) {
+                this._ngZone.run(() => this.hide(0));
+            }
+        });
+    }
+    /**
+     * Prevents the browser from selecting text or opening its context callout while the user
+     * long-presses the trigger, because either of them would cover the panel.
+     */
+    _disableNativeGesturesIfNecessary() {
+        const element = this._elementRef.nativeElement;
+        const style = element.style;
+        if (element.nodeName !== 'INPUT' && element.nodeName !== 'TEXTAREA') {
+            style.userSelect = style.msUserSelect = style.webkitUserSelect = style.MozUserSelect = 'none';
+        }
+        style.webkitTouchCallout = 'none';
+    }
+    /** Whether the platform fires mouse events for pointer interactions. */
+    _platformSupportsMouseEvents() {
+        return !this._platform.IOS && !this._platform.ANDROID;
+    }
+    /** Whether the trigger is in a right-to-left context. */
+    _isRtl() {
+        return !!this._dir && this._dir.value === 'rtl';
+    }
+    /** Cancels the pending timeout which shows the panel. */
+    _clearShowTimeout() {
+        if (this._showTimeoutId !== null) {
+            clearTimeout(this._showTimeoutId);
+            this._showTimeoutId = null;
+        }
+    }
+    /** Cancels the pending timeout which hides the panel. */
+    _clearHideTimeout() {
+        if (this._hideTimeoutId !== null) {
+            clearTimeout(this._hideTimeoutId);
+            this._hideTimeoutId = null;
+        }
+    }
+    /** Cancels the pending long press. */
+    _clearLongPressTimeout() {
+        if (this._longPressTimeoutId !== null) {
+            clearTimeout(this._longPressTimeoutId);
+            this._longPressTimeoutId = null;
+        }
+    }
+}
+CdkTooltipBase.decorators = [
+    { type: Directive }
+];
+CdkTooltipBase.ctorParameters = () => [
+    { type: Overlay },
+    { type: ElementRef },
+    { type: NgZone },
+    { type: ScrollDispatcher },
+    { type: Platform },
+    { type: FocusMonitor },
+    { type: undefined },
+    { type: undefined },
+    { type: Directionality },
+    { type: undefined }
+];
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * Unstyled component that renders the message of a `CdkTooltip` inside of its overlay.
+ * The message is hidden from assistive technology, because it is already announced
+ * through the `aria-describedby` attribute of the trigger.
+ * @docs-private
+ */
+class CdkTooltipContainer {
+    constructor(_changeDetectorRef) {
+        this._changeDetectorRef = _changeDetectorRef;
+        /** Message that is shown in the tooltip. */
+        this.message = '';
+    }
+    /** Updates the message that is shown in the tooltip. */
+    _setMessage(message) {
+        this.message = message;
+        this._changeDetectorRef.markForCheck();
+    }
+}
+CdkTooltipContainer.decorators = [
+    { type: Component, args: [{
+                selector: 'cdk-tooltip',
+                template: '{{message}}',
+                encapsulation: ViewEncapsulation.None,
+                changeDetection: ChangeDetectionStrategy.OnPush,
+                host: {
+                    'class': 'cdk-tooltip',
+                    'aria-hidden': 'true',
+                }
+            },] }
+];
+CdkTooltipContainer.ctorParameters = () => [
+    { type: ChangeDetectorRef }
+];
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * Directive that shows a short text message in an overlay when the user hovers over the host
+ * element, focuses it using the keyboard or long-presses it on a touch device. The message is
+ * also added to the `aria-describedby` attribute of the host element through the
+ * `AriaDescriber`, so that it is announced by assistive technology.
+ */
+class CdkTooltip extends CdkTooltipBase {
+    constructor(overlay, elementRef, ngZone, scrollDispatcher, platform, focusMonitor, _viewContainerRef, _ariaDescriber, scrollStrategy, document, dir, defaultOptions) {
+        super(overlay, elementRef, ngZone, scrollDispatcher, platform, focusMonitor, scrollStrategy, document, dir, defaultOptions);
+        this._viewContainerRef = _viewContainerRef;
+        this._ariaDescriber = _ariaDescriber;
+        this._message = '';
+        this._classPrefix = 'cdk-tooltip';
+        /** Component that renders the message, if the tooltip is shown. */
+        this._container = null;
+        /** Portal used to render the message. */
+        this._portal = null;
+    }
+    /** Message that is shown in the tooltip. */
+    get message() { return this._message; }
+    set message(value) {
+        const element = this._elementRef.nativeElement;
+        const message = value != null ? `${value}`.trim() : '';
+        this._ariaDescriber.removeDescription(element, this._message, 'tooltip');
+        this._message = message;
+        if (!message && this.isShown()) {
+            this.hide(0);
+        }
+        else {
+            this._updateMessage();
+            // Wait a tick before describing the trigger, because the message may be bound
+            // to a value that changes multiple times while the view is being initialized.
+            this._ngZone.runOutsideAngular(() => {
+                Promise.resolve().then(() => {
+                    if (message === this._message && !this._destroyed.isStopped) {
+                        this._ariaDescriber.describe(element, message, 'tooltip');
+                    }
+                });
+            });
+        }
+    }
+    ngOnDestroy() {
+        const element = this._elementRef.nativeElement;
+        super.ngOnDestroy();
+        this._ariaDescriber.removeDescription(element, this._message, 'tooltip');
+    }
+    _hasContent() {
+        return !!this._message;
+    }
+    _showsOnHoverAndFocus() {
+        return true;
+    }
+    _attachContent(overlayRef) {
+        if (!this._portal) {
+            this._portal = new ComponentPortal(CdkTooltipContainer, this._viewContainerRef);
+        }
+        this._container = overlayRef.attach(this._portal).instance;
+        this._updateMessage();
+    }
+    _onDetached() {
+        this._container = null;
+    }
+    /** Updates the message inside of the tooltip, if it is shown. */
+    _updateMessage() {
+        if (this._container) {
+            this._container._setMessage(this._message);
+            // The size of the tooltip changes along with its message.
+            this._ngZone.onMicrotaskEmpty.asObservable().pipe(take(1)).subscribe(() => {
+                this.updatePosition();
+            });
+        }
+    }
+}
+CdkTooltip.decorators = [
+    { type: Directive, args: [{
+                selector: '[cdkTooltip]',
+                exportAs: 'cdkTooltip',
+                inputs: [
+                    'position: cdkTooltipPosition',
+                    'disabled: cdkTooltipDisabled',
+                    'showDelay: cdkTooltipShowDelay',
+                    'hideDelay: cdkTooltipHideDelay',
+                    'panelClass: cdkTooltipPanelClass',
+                ],
+                host: {
+                    'class': 'cdk-tooltip-trigger',
+                },
+            },] }
+];
+CdkTooltip.ctorParameters = () => [
+    { type: Overlay },
+    { type: ElementRef },
+    { type: NgZone },
+    { type: ScrollDispatcher },
+    { type: Platform },
+    { type: FocusMonitor },
+    { type: ViewContainerRef },
+    { type: AriaDescriber },
+    { type: undefined, decorators: [{ type: Inject, args: [CDK_TOOLTIP_SCROLL_STRATEGY,] }] },
+    { type: undefined, decorators: [{ type: Inject, args: [DOCUMENT,] }] },
+    { type: Directionality, decorators: [{ type: Optional }] },
+    { type: undefined, decorators: [{ type: Optional }, { type: Inject, args: [CDK_TOOLTIP_DEFAULT_OPTIONS,] }] }
+];
+CdkTooltip.propDecorators = {
+    message: [{ type: Input, args: ['cdkTooltip',] }]
+};
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/** Counter used to create unique IDs for popovers. */
+let nextId = 0;
+/**
+ * Directive that shows the content of a template in an overlay next to the host element. Unlike a
+ * tooltip, the content of a popover can be interactive. By default the popover is toggled when
+ * the host element is clicked and it is hidden when the user clicks outside of it or presses
+ * the escape key. Popovers that are triggered on hover behave like a tooltip instead, while
+ * still allowing the user to move the pointer or focus into them.
+ */
+class CdkPopover extends CdkTooltipBase {
+    constructor(overlay, elementRef, ngZone, scrollDispatcher, platform, focusMonitor, _viewContainerRef, scrollStrategy, document, dir, defaultOptions) {
+        super(overlay, elementRef, ngZone, scrollDispatcher, platform, focusMonitor, scrollStrategy, document, dir, defaultOptions);
+        this._viewContainerRef = _viewContainerRef;
+        this._template = null;
+        /** Interaction that shows the popover. */
+        this.triggerOn = 'click';
+        /** Unique ID of the overlay pane that renders the popover. */
+        this.panelId = `cdk-popover-${nextId++}`;
+        /** Emits when the popover has been shown. */
+        this.shown = new EventEmitter();
+        /** Emits when the popover has been hidden. */
+        this.hidden = new EventEmitter();
+        this._classPrefix = 'cdk-popover';
+        /** Portal used to render the template. */
+        this._portal = null;
+    }
+    /** Template that is rendered inside of the popover. */
+    get template() { return this._template; }
+    set template(value) {
+        if (value !== this._template) {
+            this.hide(0);
+            this._template = value;
+            this._portal = null;
+        }
+    }
+    /** Toggles the popover when the trigger is clicked, if it is shown on click. */
+    _handleClick() {
+        if (this.triggerOn === 'click') {
+            this.toggle();
+        }
+    }
+    _hasContent() {
+        return !!this._template;
+    }
+    _showsOnHoverAndFocus() {
+        return this.triggerOn === 'hover';
+    }
+    _onOverlayCreated(overlayRef) {
+        const pane = overlayRef.overlayElement;
+        pane.id = this.panelId;
+        pane.setAttribute('role', 'dialog');
+        overlayRef.outsidePointerEvents().pipe(takeUntil(this._destroyed)).subscribe(event => {
+            if (!this._elementRef.nativeElement.contains(event.target)) {
+                this._ngZone.run(() => this.hide(0));
+            }
+        });
+    }
+    _attachContent(overlayRef) {
+        if (!this._portal) {
+            this._portal = new TemplatePortal(this._template, this._viewContainerRef);
+        }
+        overlayRef.attach(this._portal);
+        this.shown.emit();
+    }
+    _onDetached() {
+        this.hidden.emit();
+    }
+    /** Hides the popover, moving focus back to the trigger if it was inside the popover. */
+    _handleEscape() {
+        const shouldRestoreFocus = this._isInsidePanel(this._document.activeElement);
+        this.hide(0);
+        if (shouldRestoreFocus) {
+            this._elementRef.nativeElement.focus();
+        }
+    }
+}
+CdkPopover.decorators = [
+    { type: Directive, args: [{
+                selector: '[cdkPopover]',
+                exportAs: 'cdkPopover',
+                inputs: [
+                    'position: cdkPopoverPosition',
+                    'disabled: cdkPopoverDisabled',
+                    'showDelay: cdkPopoverShowDelay',
+                    'hideDelay: cdkPopoverHideDelay',
+                    'panelClass: cdkPopoverPanelClass',
+                ],
+                host: {
+                    'class': 'cdk-popover-trigger',
+                    'aria-haspopup': 'dialog',
+                    '[attr.aria-expanded]': 'isShown()',
+                    '[attr.aria-controls]': 'isShown() ? panelId : null',
+                    '(click)': '_handleClick()',
+                },
+            },] }
+];
+CdkPopover.ctorParameters = () => [
+    { type: Overlay },
+    { type: ElementRef },
+    { type: NgZone },
+    { type: ScrollDispatcher },
+    { type: Platform },
+    { type: FocusMonitor },
+    { type: ViewContainerRef },
+    { type: undefined, decorators: [{ type: Inject, args: [CDK_TOOLTIP_SCROLL_STRATEGY,] }] },
+    { type: undefined, decorators: [{ type: Inject, args: [DOCUMENT,] }] },
+    { type: Directionality, decorators: [{ type: Optional }] },
+    { type: undefined, decorators: [{ type: Optional }, { type: Inject, args: [CDK_TOOLTIP_DEFAULT_OPTIONS,] }] }
+];
+CdkPopover.propDecorators = {
+    template: [{ type: Input, args: ['cdkPopover',] }],
+    triggerOn: [{ type: Input, args: ['cdkPopoverTriggerOn',] }],
+    shown: [{ type: Output, args: ['cdkPopoverShown',] }],
+    hidden: [{ type: Output, args: ['cdkPopoverHidden',] }]
+};
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+const EXPORTED_DECLARATIONS = [
+    CdkTooltip,
+    CdkPopover,
+];
+class CdkTooltipModule {
+}
+CdkTooltipModule.decorators = [
+    { type: NgModule, args: [{
+                imports: [OverlayModule, A11yModule],
+                exports: EXPORTED_DECLARATIONS,
+                declarations: [...EXPORTED_DECLARATIONS, CdkTooltipContainer],
+                providers: [CDK_TOOLTIP_SCROLL_STRATEGY_PROVIDER],
+                entryComponents: [CdkTooltipContainer],
+            },] }
+];
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+
+/**
+ * Generated bundle index. Do not edit.
+ */
+
+export { CDK_TOOLTIP_BASE_DEFAULT_OPTIONS, CDK_TOOLTIP_DEFAULT_OPTIONS, CDK_TOOLTIP_SCROLL_STRATEGY, CDK_TOOLTIP_SCROLL_STRATEGY_PROVIDER, CDK_TOOLTIP_SCROLL_STRATEGY_PROVIDER_FACTORY, CdkPopover, CdkTooltip, CdkTooltipBase, CdkTooltipContainer, CdkTooltipModule, getTooltipConnectedPositions };
+//# sourceMappingURL=tooltip.js.map
@@ -1,9 +1,12 @@
 import { SelectionModel, isDataSource } from '@angular/cdk/collections';
-import { isObservable, Subject, BehaviorSubject, of } from 'rxjs';
-import { take, filter, takeUntil } from 'rxjs/operators';
-import { InjectionToken, Directive, ViewContainerRef, Inject, Optional, TemplateRef, Component, ViewEncapsulation, ChangeDetectionStrategy, IterableDiffers, ChangeDetectorRef, Input, ViewChild, ContentChildren, ElementRef, HostListener, NgModule } from '@angular/core';
-import { coerceNumberProperty, coerceBooleanProperty } from '@angular/cdk/coercion';
+import { Subject, isObservable, BehaviorSubject, of, merge } from 'rxjs';
+import { filter, startWith, map, take, takeUntil } from 'rxjs/operators';
+import { InjectionToken, Directive, ViewContainerRef, Inject, Optional, TemplateRef, QueryList, Component, ViewEncapsulation, ChangeDetectionStrategy, IterableDiffers, ChangeDetectorRef, NgZone, Self, Input, ViewChild, ContentChildren, ContentChild, ElementRef, HostListener, NgModule } from '@angular/core';
 import { Directionality } from '@angular/cdk/bidi';
+import { CdkVirtualScrollViewport } from '@angular/cdk/scrolling';
+import { FocusKeyManager } from '@angular/cdk/a11y';
+import { LEFT_ARROW, RIGHT_ARROW, hasModifierKey } from '@angular/cdk/keycodes';
+import { coerceNumberProperty, coerceBooleanProperty } from '@angular/cdk/coercion';
 
 /**
  * @license
@@ -17,14 +20,26 @@ class BaseTreeControl {
     constructor() {
         /** A selection model with multi-selection to track expansion status. */
         this.expansionModel = new SelectionModel(true);
+        /** State of the lazily-loaded children, keyed by the data node's tracking value. */
+        this._childrenStates = new Map();
+        /** Subscriptions to the batches of children that are currently being loaded. */
+        this._childrenSubscriptions = new Map();
+        /** Emits a data node whenever the state of its lazily-loaded children changes. */
+        this._childrenStateChanges = new Subject();
+        /** Stream that emits a data node whenever the state of its lazily-loaded children changes. */
+        this.childrenStateChanges = this._childrenStateChanges;
     }
     /** Toggles one single data node's expanded/collapsed state. */
     toggle(dataNode) {
         this.expansionModel.toggle(this._trackByValue(dataNode));
+        if (this.isExpanded(dataNode)) {
+            this._loadChildrenOnFirstExpand(dataNode);
+        }
     }
     /** Expands one single data node. */
     expand(dataNode) {
         this.expansionModel.select(this._trackByValue(dataNode));
+        this._loadChildrenOnFirstExpand(dataNode);
     }
     /** Collapses one single data node. */
     collapse(dataNode) {
@@ -56,6 +71,93 @@ class BaseTreeControl {
         toBeProcessed.push(...this.getDescendants(dataNode));
         this.expansionModel.deselect(...toBeProcessed.map(value => this._trackByValue(value)));
     }
+    /**
+     * Gets the state of the lazily-loaded children of a data node. Returns null if
+     * no children have been requested for the data node yet.
+     */
+    getChildrenState(dataNode) {
+        return this._childrenStates.get(this._trackByValue(dataNode)) || null;
+    }
+    /**
+     * Gets a stream of the lazily-loaded children of a data node. Emits the children that have
+     * been loaded so far whenever the state of the data node's children changes.
+     */
+    getLoadedChildren(dataNode) {
+        const key = this._trackByValue(dataNode);
+        return this._childrenStateChanges.pipe(filter(changedNode => this._trackByValue(changedNode) === key), startWith(dataNode), map(() => {
+            const state = this._childrenStates.get(key);
+            return state ? state.children : [];
+        }));
+    }
+    /**
+     * Loads the next batch of children of a data node. If loading the previous
+     * batch failed, the failed batch will be requested again.
+     */
+    loadMoreChildren(dataNode) {
+        const key = this._trackByValue(dataNode);
+        const state = this._childrenStates.get(key) ||
+            { children: [], loading: false, error: null, hasMore: true };
+        if (!this.loadChildren || state.loading || !state.hasMore) {
+            return;
+        }
+        let hasLoaded = false;
+        this._setChildrenState(dataNode, Object.assign(Object.assign({}, state), { loading: true, error: null }));
+        const batchStream = this.loadChildren(dataNode, state.children.length).pipe(take(1));
+        const subscription = batchStream.subscribe({
+            next: result => {
+                const batch = Array.isArray(result) ? { children: result, hasMore: false } : result;
+                hasLoaded = true;
+                this._setChildrenState(dataNode, {
+                    children: [...state.children, ...batch.children],
+                    loading: false,
+                    error: null,
+                    hasMore: !!batch.hasMore
+                });
+            },
+            error: error => {
+                this._childrenSubscriptions.delete(key);
+                this._setChildrenState(dataNode, Object.assign(Object.assign({}, state), { loading: false, error }));
+            },
+            complete: () => {
+                this._childrenSubscriptions.delete(key);
+                // If the stream completed without emitting, assume that there are no more children.
+                if (!hasLoaded) {
+                    this._setChildrenState(dataNode, Object.assign(Object.assign({}, state), { loading: false, hasMore: false }));
+                }
+            }
+        });
+        // The loader might have emitted synchronously in which case the subscription is already done.
+        if (!subscription.closed) {
+            this._childrenSubscriptions.set(key, subscription);
+        }
+    }
+    /** Retries loading the children of a data node if loading the last batch failed. */
+    retryLoadingChildren(dataNode) {
+        const state = this.getChildrenState(dataNode);
+        if (state && state.error) {
+            this.loadMoreChildren(dataNode);
+        }
+    }
+    /** Discards the lazily-loaded children of a data node and loads them again from the start. */
+    reloadChildren(dataNode) {
+        var _a;
+        const key = this._trackByValue(dataNode);
+        (_a = this._childrenSubscriptions.get(key)) === null || _a === void 0 ? void 0 : _a.unsubscribe();
+        this._childrenSubscriptions.delete(key);
+        this._childrenStates.delete(key);
+        this.loadMoreChildren(dataNode);
+    }
+    /** Loads the first batch of children of a data node, unless it has been loaded already. */
+    _loadChildrenOnFirstExpand(dataNode) {
+        if (this.loadChildren && !this._childrenStates.has(this._trackByValue(dataNode))) {
+            this.loadMoreChildren(dataNode);
+        }
+    }
+    /** Updates the state of the lazily-loaded children of a data node. */
+    _setChildrenState(dataNode, state) {
+        this._childrenStates.set(this._trackByValue(dataNode), state);
+        this._childrenStateChanges.next(dataNode);
+    }
     _trackByValue(value) {
         return this.trackBy ? this.trackBy(value) : value;
     }
@@ -78,6 +180,7 @@ class FlatTreeControl extends BaseTreeControl {
         this.options = options;
         if (this.options) {
             this.trackBy = this.options.trackBy;
+            this.loadChildren = this.options.loadChildren;
         }
     }
     /**
@@ -127,6 +230,17 @@ class NestedTreeControl extends BaseTreeControl {
         this.options = options;
         if (this.options) {
             this.trackBy = this.options.trackBy;
+            this.loadChildren = this.options.loadChildren;
+        }
+        if (this.loadChildren) {
+            const getKnownChildren = this.getChildren;
+            // Fall back to the lazily-loaded children if the children of a node aren't known up-front.
+            // Data sources commonly use an empty array for children that haven't been loaded yet.
+            this.getChildren = dataNode => {
+                const knownChildren = getKnownChildren(dataNode);
+                return knownChildren && (!Array.isArray(knownChildren) || knownChildren.length) ?
+                    knownChildren : this.getLoadedChildren(dataNode);
+            };
         }
     }
     /**
@@ -213,6 +327,12 @@ class CdkTreeNodeOutletContext {
         this.$implicit = data;
     }
 }
+/** Context provided to the placeholder that is shown while the children of a node are loaded. */
+class CdkTreeNodePlaceholderContext {
+    constructor(data) {
+        this.$implicit = data;
+    }
+}
 /**
  * Data node definition for the CdkTree.
  * Captures the node's template and a when predicate that describes when this node should be used.
@@ -234,6 +354,188 @@ CdkTreeNodeDef.decorators = [
 CdkTreeNodeDef.ctorParameters = () => [
     { type: TemplateRef }
 ];
+/**
+ * Placeholder definition for the CdkTree. Rendered after the children of a node whose children
+ * are loaded lazily, while they are loading, if loading them failed or if more can be loaded.
+ * Captures the template of the placeholder.
+ */
+class CdkTreeNodePlaceholderDef {
+    /** @docs-private */
+    constructor(template) {
+        this.template = template;
+    }
+}
+CdkTreeNodePlaceholderDef.decorators = [
+    { type: Directive, args: [{
+                selector: '[cdkTreeNodePlaceholderDef]',
+            },] }
+];
+CdkTreeNodePlaceholderDef.ctorParameters = () => [
+    { type: TemplateRef }
+];
+
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * Manages keyboard navigation within a tree, following the WAI-ARIA tree view pattern. Up and
+ * down arrows move between the visible items, right arrow expands an item or moves to its first
+ * child, left arrow collapses an item or moves to its parent and `*` expands all of the siblings
+ * of the active item. Supports Home/End and type-ahead through an underlying `FocusKeyManager`.
+ * The items have to be provided in the order in which they appear in the tree.
+ */
+class TreeKeyManager {
+    constructor(_items) {
+        this._items = _items;
+        /** Items whose ancestors are all expanded. Kept in sync with the list of all items. */
+        this._visibleItems = [];
+        /** Key manager that handles the navigation between the visible items. */
+        this._keyManager = new FocusKeyManager(this._visibleItems)
+            .withVerticalOrientation()
+            .withHomeAndEnd();
+        /** Text direction of the tree. Determines which horizontal key expands an item. */
+        this._direction = 'ltr';
+        /** Stream that emits whenever the active item changes. */
+        this.change = this._keyManager.change.pipe(map(index => this._visibleItems[index]));
+    }
+    /**
+     * Turns on type-ahead mode which allows users to set the active item by typing.
+     * @param debounceInterval Time to wait after the last keystroke before setting the active item.
+     */
+    withTypeAhead(debounceInterval) {
+        this._keyManager.withTypeAhead(debounceInterval);
+        return this;
+    }
+    /**
+     * Configures the direction of the tree. In a right-to-left tree the left arrow
+     * expands items and the right arrow collapses them.
+     * @param direction Direction in which the tree is laid out.
+     */
+    withHorizontalOrientation(direction) {
+        this._direction = direction;
+        return this;
+    }
+    /** The active item. */
+    get activeItem() {
+        return this._keyManager.activeItem;
+    }
+    /** Sets the active item and focuses it. */
+    setActiveItem(item) {
+        this._updateVisibleItems();
+        this._keyManager.setActiveItem(item);
+    }
+    /**
+     * Sets the active item without focusing it or emitting through the `change` stream. Useful
+     * for keeping the key manager in sync when an item received focus through other means.
+     */
+    updateActiveItem(item) {
+        this._updateVisibleItems();
+        this._keyManager.updateActiveItem(item);
+    }
+    /** Sets the active item depending on the key event passed in. */
+    onKeydown(event) {
+        this._updateVisibleItems();
+        const keyCode = event.keyCode;
+        const expandKey = this._direction === 'rtl' ? LEFT_ARROW : RIGHT_ARROW;
+        const collapseKey = this._direction === 'rtl' ? RIGHT_ARROW : LEFT_ARROW;
+        const activeItem = this.activeItem;
+        if (keyCode === expandKey || keyCode === collapseKey) {
+            if (hasModifierKey(event)) {
+                return;
+            }
+            if (!activeItem) {
+                this._keyManager.setFirstItemActive();
+            }
+            else if (keyCode === expandKey) {
+                this._expandOrFocusFirstChild(activeItem);
+            }
+            else {
+                this._collapseOrFocusParent(activeItem);
+            }
+        }
+        else if (event.key === '*' && activeItem) {
+            this._expandSiblings(activeItem);
+        }
+        else {
+            this._keyManager.onKeydown(event);
+            return;
+        }
+        event.preventDefault();
+    }
+    /** Expands the item if it's collapsed, otherwise moves focus to its first child. */
+    _expandOrFocusFirstChild(item) {
+        if (!item.isExpandable) {
+            return;
+        }
+        if (!item.isExpanded) {
+            item.expand();
+        }
+        else {
+            const nextItem = this._visibleItems[this._visibleItems.indexOf(item) + 1];
+            if (nextItem && nextItem.level > item.level) {
+                this._keyManager.setActiveItem(nextItem);
+            }
+        }
+    }
+    /** Collapses the item if it's expanded, otherwise moves focus to its parent. */
+    _collapseOrFocusParent(item) {
+        if (item.isExpandable && item.isExpanded) {
+            item.collapse();
+        }
+        else {
+            const parent = this._getParent(item);
+            if (parent) {
+                this._keyManager.setActiveItem(parent);
+            }
+        }
+    }
+    /** Expands all of the siblings of the specified item, including the item itself. */
+    _expandSiblings(item) {
+        const parent = this._getParent(item);
+        this._getItemsArray().forEach(sibling => {
+            if (sibling.level === item.level && sibling.isExpandable && !sibling.isExpanded &&
+                this._getParent(sibling) === parent) {
+                sibling.expand();
+            }
+        });
+    }
+    /** Gets the parent of an item. Relies on the items being in the same order as in the tree. */
+    _getParent(item) {
+        const items = this._getItemsArray();
+        for (let i = items.indexOf(item) - 1; i > -1; i--) {
+            if (items[i].level < item.level) {
+                return items[i];
+            }
+        }
+        return null;
+    }
+    /** Updates the list of visible items based on the expanded state of their ancestors. */
+    _updateVisibleItems() {
+        const ancestors = [];
+        this._visibleItems.length = 0;
+        for (const item of this._getItemsArray()) {
+            const level = item.level;
+            ancestors.length = Math.min(ancestors.length, level);
+            if (ancestors.every(ancestor => ancestor.isExpanded)) {
+                this._visibleItems.push(item);
+            }
+            ancestors[level] = item;
+        }
+        // Sync up the active item's index since the visible items might have changed.
+        const activeItem = this._keyManager.activeItem;
+        if (activeItem) {
+            this._keyManager.updateActiveItem(activeItem);
+        }
+    }
+    /** Gets the list of all items as an array. */
+    _getItemsArray() {
+        return this._items instanceof QueryList ? this._items.toArray() : this._items;
+    }
+}
 
 /**
  * @license
@@ -277,19 +579,73 @@ function getTreeControlMissingError() {
 function getTreeControlFunctionsMissingError() {
     return Error(`Could not find functions for nested/flat tree in tree control.`);
 }
+/**
+ * Returns an error to be thrown when virtual scrolling is enabled for a tree that doesn't
+ * use a flat tree control.
+ * @docs-private
+ */
+function getTreeVirtualScrollRequiresFlatTreeError() {
+    return Error(`Virtual scrolling is only supported for trees with a flat tree control.`);
+}
 
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * Injection token used to provide the virtual scroll viewport in which a tree should only render
+ * the nodes that are in view.
+ * @docs-private
+ */
+const _TREE_VIRTUAL_SCROLL_VIEWPORT = new InjectionToken('_TREE_VIRTUAL_SCROLL_VIEWPORT');
+/**
+ * Enables virtual scrolling for a flat tree that is placed inside of a
+ * `cdk-virtual-scroll-viewport`. Only the flattened nodes within the viewport's rendered range
+ * will be rendered.
+ */
+class CdkTreeVirtualScroll {
+}
+CdkTreeVirtualScroll.decorators = [
+    { type: Directive, args: [{
+                selector: 'cdk-tree[virtualScroll]',
+                providers: [
+                    { provide: _TREE_VIRTUAL_SCROLL_VIEWPORT, useExisting: CdkVirtualScrollViewport },
+                ],
+            },] }
+];
 /**
  * CDK tree component that connects with a data source to retrieve data of type `T` and renders
  * dataNodes with hierarchy. Updates the dataNodes when new data is provided by the data source.
  */
 class CdkTree {
-    constructor(_differs, _changeDetectorRef) {
+    constructor(_differs, _changeDetectorRef, 
+    /**
+     * @deprecated `_ngZone` parameter to become required.
+     * @breaking-change 14.0.0
+     */
+    _ngZone, _virtualScrollViewport, _dir) {
         this._differs = _differs;
         this._changeDetectorRef = _changeDetectorRef;
+        this._ngZone = _ngZone;
+        this._virtualScrollViewport = _virtualScrollViewport;
+        this._dir = _dir;
         /** Subject that emits when the component has been destroyed. */
         this._onDestroy = new Subject();
         /** Level of nodes */
         this._levels = new Map();
+        /** Range of nodes that should be rendered. Only set when virtual scrolling. */
+        this._renderedRange = null;
+        /** Emits the latest flattened data to the virtual scroll viewport. */
+        this._virtualScrollDataStream = new Subject();
+        /** All of the nodes that are currently rendered in the tree, in the order they appear in. */
+        this._nodes = [];
+        /** Whether an update of the rendered nodes has been scheduled. */
+        this._nodeUpdateScheduled = false;
+        /** Contexts of the placeholders that are rendered, keyed by the node whose children they load. */
+        this._placeholderContexts = new Map();
         // TODO(tinayuangao): Setup a listener for scrolling, emit the calculated view to viewChange.
         //     Remove the MAX_VALUE in viewChange
         /**
@@ -297,6 +653,15 @@ class CdkTree {
          * Can be used by the data source to as a heuristic of what data should be provided.
          */
         this.viewChange = new BehaviorSubject({ start: 0, end: Number.MAX_VALUE });
+        /**
+         * Tracking function used by the differs of the tree. Placeholders aren't part of
+         * the data so they're always tracked by identity.
+         * @docs-private
+         */
+        this._trackNode = (index, item) => {
+            return this.trackBy && !(item instanceof CdkTreeNodePlaceholderContext) ?
+                this.trackBy(index, item) : item;
+        };
     }
     /**
      * Provides a stream containing the latest data array to render. Influenced by the tree's
@@ -310,13 +675,24 @@ class CdkTree {
         }
     }
     ngOnInit() {
-        this._dataDiffer = this._differs.find([]).create(this.trackBy);
+        this._dataDiffer = this._differs.find([]).create(this._trackNode);
         if (!this.treeControl && (typeof ngDevMode === 'undefined' || ngDevMode)) {
             throw getTreeControlMissingError();
         }
+        if (this.treeControl.childrenStateChanges) {
+            this._observeChildrenStateChanges(this.treeControl.childrenStateChanges);
+        }
+        if (this._virtualScrollViewport) {
+            this._setupVirtualScrolling(this._virtualScrollViewport);
+        }
+        this._setupKeyManager();
     }
     ngOnDestroy() {
         this._nodeOutlet.viewContainer.clear();
+        if (this._virtualScrollViewport) {
+            this._virtualScrollViewport.detach();
+        }
+        this._virtualScrollDataStream.complete();
         this.viewChange.complete();
         this._onDestroy.next();
         this._onDestroy.complete();
@@ -338,8 +714,37 @@ class CdkTree {
             this._observeRenderChanges();
         }
     }
-    // TODO(tinayuangao): Work on keyboard traversal and actions, make sure it's working for RTL
-    //     and nested trees.
+    /** Handles keyboard events on the tree. */
+    _handleKeydown(event) {
+        this._keyManager.onKeydown(event);
+    }
+    /** Keeps the key manager in sync when one of the nodes is focused through other means. */
+    _handleFocus(event) {
+        const node = this._nodes.find(current => current._getHostElement() === event.target);
+        if (node && node !== this._keyManager.activeItem) {
+            this._keyManager.updateActiveItem(node);
+            this._updateTabIndex();
+        }
+    }
+    /**
+     * Registers a node that was rendered in the tree.
+     * @docs-private
+     */
+    _registerNode(node) {
+        this._nodes.push(node);
+        this._scheduleNodeUpdate();
+    }
+    /**
+     * Removes a node that is no longer rendered in the tree.
+     * @docs-private
+     */
+    _unregisterNode(node) {
+        const index = this._nodes.indexOf(node);
+        if (index > -1) {
+            this._nodes.splice(index, 1);
+            this._scheduleNodeUpdate();
+        }
+    }
     /**
      * Switch to the provided data source by resetting the data and unsubscribing from the current
      * render change subscription if one exists. If the data source is null, interpret this by
@@ -384,6 +789,27 @@ class CdkTree {
     }
     /** Check for changes made in the data and render each change (node added/removed/moved). */
     renderNodeChanges(data, dataDiffer = this._dataDiffer, viewContainer = this._nodeOutlet.viewContainer, parentData) {
+        if (viewContainer === this._nodeOutlet.viewContainer) {
+            this._rootData = data;
+            // The positions of the nodes in a flat tree are based on the entire data set, which
+            // can change without any of the rendered nodes changing when virtual scrolling.
+            const isFlatTree = !!this.treeControl.getLevel;
+            if (isFlatTree) {
+                this._scheduleNodeUpdate();
+            }
+        }
+        data = this._addPlaceholders(data, parentData);
+        // When virtual scrolling, only the nodes within the viewport's rendered range are rendered.
+        if (this._virtualScrollViewport && viewContainer === this._nodeOutlet.viewContainer) {
+            this._data = data;
+            this._virtualScrollDataStream.next(data);
+            this._renderNodesInRange();
+            return;
+        }
+        this._applyNodeChanges(data, dataDiffer, viewContainer, parentData);
+    }
+    /** Diffs the provided data against the rendered nodes and applies the changes to the view. */
+    _applyNodeChanges(data, dataDiffer, viewContainer, parentData) {
         const changes = dataDiffer.diff(data);
         if (!changes) {
             return;
@@ -403,6 +829,236 @@ class CdkTree {
         });
         this._changeDetectorRef.detectChanges();
     }
+    /**
+     * Adds the placeholders of the nodes whose children are being loaded lazily to the data.
+     * In a flat tree the placeholder is added after the last descendant of the expanded node
+     * whereas in a nested tree it's added after the children of the parent node.
+     */
+    _addPlaceholders(data, parentData) {
+        const treeControl = this.treeControl;
+        if (!this._placeholderDef || !treeControl.getChildrenState) {
+            return data;
+        }
+        if (!treeControl.getLevel) {
+            const context = parentData === undefined ? null : this._getPlaceholderContext(parentData);
+            return context ? [...data, context] : data;
+        }
+        const result = [];
+        const pendingParents = [];
+        const closePendingParents = (level) => {
+            while (pendingParents.length &&
+                treeControl.getLevel(pendingParents[pendingParents.length - 1]) >= level) {
+                const context = this._getPlaceholderContext(pendingParents.pop());
+                result.push(context);
+            }
+        };
+        for (const node of data) {
+            closePendingParents(treeControl.getLevel(node));
+            result.push(node);
+            if (treeControl.isExpanded(node) &&
+                this._needsPlaceholder(treeControl.getChildrenState(node))) {
+                pendingParents.push(node);
+            }
+        }
+        closePendingParents(0);
+        return result;
+    }
+    /**
+     * Gets the context of the placeholder that should be shown after the children of a node.
+     * Returns null if the node doesn't need a placeholder.
+     */
+    _getPlaceholderContext(dataNode) {
+        const state = this.treeControl.getChildrenState(dataNode);
+        if (!this._needsPlaceholder(state)) {
+            this._placeholderContexts.delete(dataNode);
+            return null;
+        }
+        // Reuse the same context for a node so that the differ can track the placeholder.
+        let context = this._placeholderContexts.get(dataNode);
+        if (!context) {
+            context = new CdkTreeNodePlaceholderContext(dataNode);
+            this._placeholderContexts.set(dataNode, context);
+        }
+        context.loading = state.loading;
+        context.error = state.error;
+        context.hasMore = state.hasMore;
+        return context;
+    }
+    /** Whether a placeholder should be shown for a node with the specified children state. */
+    _needsPlaceholder(state) {
+        return !!state && (state.loading || state.hasMore || state.error != null);
+    }
+    /** Re-renders the placeholders whenever the loading state of a node's children changes. */
+    _observeChildrenStateChanges(stateChanges) {
+        // Nested nodes re-render their own children, but in a flat tree the placeholders are part
+        // of the root data which also has to be re-rendered when a node is expanded or collapsed.
+        const isFlatTree = !!this.treeControl.getLevel;
+        const changes = isFlatTree ?
+            merge(stateChanges, this.treeControl.expansionModel.changed) : stateChanges;
+        changes.pipe(takeUntil(this._onDestroy)).subscribe(() => {
+            if (this._placeholderDef && isFlatTree && this._rootData) {
+                this.renderNodeChanges(this._rootData);
+            }
+            this._changeDetectorRef.markForCheck();
+        });
+    }
+    /** Renders the flattened nodes that are within the rendered range of the viewport. */
+    _renderNodesInRange() {
+        if (this._data && this._renderedRange) {
+            const { start, end } = this._renderedRange;
+            this._applyNodeChanges(this._data.slice(start, end), this._dataDiffer, this._nodeOutlet.viewContainer);
+        }
+    }
+    /**
+     * Connects the tree to a virtual scroll viewport so that only the flattened nodes within the
+     * viewport's rendered range are rendered.
+     */
+    _setupVirtualScrolling(viewport) {
+        // Nested nodes are rendered inside of their parents so they can't be virtualized.
+        if (!this.treeControl.getLevel && (typeof ngDevMode === 'undefined' || ngDevMode)) {
+            throw getTreeVirtualScrollRequiresFlatTreeError();
+        }
+        this._renderedRange = viewport.getRenderedRange();
+        // The viewport emits its rendered range outside of the NgZone.
+        viewport.renderedRangeStream.pipe(takeUntil(this._onDestroy)).subscribe(range => {
+            const update = () => {
+                this._renderedRange = range;
+                this.viewChange.next(range);
+                this._renderNodesInRange();
+            };
+            this._ngZone ? this._ngZone.run(update) : update();
+        });
+        viewport.attach({
+            dataStream: this._virtualScrollDataStream,
+            measureRangeSize: (range, orientation) => this._measureRenderedNodesSize(range, orientation),
+            getItemKey: index => {
+                const node = this._data ? this._data[index] : undefined;
+                const range = this._renderedRange;
+                // Use the same keys as the differ, which only sees the nodes in the rendered range
+                // and tracks placeholders by their identity.
+                return node === undefined ? node : this._trackNode(index - (range ? range.start : 0), node);
+            }
+        });
+    }
+    /**
+     * Measures the combined size (width for horizontal orientation, height for vertical) of the
+     * rendered nodes within the specified range. Used by the virtual scroll viewport.
+     */
+    _measureRenderedNodesSize(range, orientation) {
+        const renderedRange = this._renderedRange;
+        if (!renderedRange || range.start >= range.end) {
+            return 0;
+        }
+        const viewContainer = this._nodeOutlet.viewContainer;
+        const firstView = viewContainer.get(range.start - renderedRange.start);
+        const lastView = viewContainer.get(range.end - renderedRange.start - 1);
+        if (!firstView || !lastView || !firstView.rootNodes.length || !lastView.rootNodes.length) {
+            return 0;
+        }
+        const firstRect = firstView.rootNodes[0].getBoundingClientRect();
+        const lastRect = lastView.rootNodes[lastView.rootNodes.length - 1].getBoundingClientRect();
+        return orientation === 'horizontal' ?
+            lastRect.right - firstRect.left : lastRect.bottom - firstRect.top;
+    }
+    /** Sets up the key manager that handles the keyboard navigation between nodes. */
+    _setupKeyManager() {
+        this._keyManager = new TreeKeyManager(this._nodes)
+            .withTypeAhead()
+            .withHorizontalOrientation(this._dir ? this._dir.value : 'ltr');
+        if (this._dir) {
+            this._dir.change.pipe(takeUntil(this._onDestroy))
+                .subscribe(direction => this._keyManager.withHorizontalOrientation(direction));
+        }
+        this._keyManager.change.pipe(takeUntil(this._onDestroy))
+            .subscribe(() => this._updateTabIndex());
+    }
+    /**
+     * Schedules an update of the rendered nodes. Nodes are usually rendered in batches so we
+     * defer the update until all of them have been registered.
+     */
+    _scheduleNodeUpdate() {
+        if (!this._nodeUpdateScheduled) {
+            this._nodeUpdateScheduled = true;
+            Promise.resolve().then(() => {
+                this._nodeUpdateScheduled = false;
+                this._updateNodes();
+            });
+        }
+    }
+    /**
+     * Sorts the rendered nodes in the order in which they appear in the DOM and updates their
+     * `aria-setsize`, `aria-posinset` and `tabindex` attributes.
+     */
+    _updateNodes() {
+        this._nodes.sort((a, b) => {
+            const position = a._getHostElement().compareDocumentPosition(b._getHostElement());
+            return position & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+        });
+        // The positions in a flat tree are based on the data, because only some of the nodes
+        // may be rendered when virtual scrolling. Nested trees always render all of the siblings.
+        const positions = this.treeControl.getLevel && this._rootData ?
+            this._getFlatNodePositions(this._rootData) : this._getRenderedNodePositions();
+        for (const node of this._nodes) {
+            const position = positions.get(node.data);
+            if (position) {
+                const element = node._getHostElement();
+                element.setAttribute('aria-setsize', `${position.siblings.length}`);
+                element.setAttribute('aria-posinset', `${position.index + 1}`);
+            }
+        }
+        this._updateTabIndex();
+    }
+    /**
+     * Gets the siblings of each of the data nodes of a flat tree, as well as their index
+     * among them, based on the levels of the nodes in the flattened data.
+     */
+    _getFlatNodePositions(data) {
+        const treeControl = this.treeControl;
+        const positions = new Map();
+        const siblingsByLevel = [];
+        // Since the data is flattened, the siblings of a node are the following nodes at the same
+        // level, up until a node with a lower level which starts a different group of siblings.
+        for (const dataNode of data) {
+            const level = treeControl.getLevel(dataNode);
+            siblingsByLevel.length = Math.min(siblingsByLevel.length, level + 1);
+            const siblings = siblingsByLevel[level] || (siblingsByLevel[level] = []);
+            positions.set(dataNode, { siblings, index: siblings.length });
+            siblings.push(dataNode);
+        }
+        return positions;
+    }
+    /**
+     * Gets the siblings of each of the rendered nodes, as well as their index among them, based on
+     * the order of the nodes in the DOM. Expects the nodes to be sorted already.
+     */
+    _getRenderedNodePositions() {
+        const positions = new Map();
+        const siblingsByParent = new Map();
+        const ancestors = [];
+        // The parent of a node is the closest preceding node with a lower level.
+        for (const node of this._nodes) {
+            const level = node.level;
+            ancestors.length = Math.min(ancestors.length, level);
+            const parent = level > 0 && ancestors[level - 1] || null;
+            const siblings = siblingsByParent.get(parent) || [];
+            positions.set(node.data, { siblings, index: siblings.length });
+            siblings.push(node.data);
+            siblingsByParent.set(parent, siblings);
+            ancestors[level] = node;
+        }
+        return positions;
+    }
+    /**
+     * Updates the roving tabindex of the nodes so that only the active node,
+     * or the first node if none is active, can be reached using the tab key.
+     */
+    _updateTabIndex() {
+        const activeNode = this._keyManager.activeItem;
+        const tabbableNode = activeNode && this._nodes.indexOf(activeNode) > -1 ? activeNode : this._nodes[0];
+        this._nodes.forEach(node => {
+            node._getHostElement().setAttribute('tabindex', node === tabbableNode ? '0' : '-1');
+        });
+    }
     /**
      * Finds the matching node definition that should be used for this node data. If there is only
      * one node definition, it is returned. Otherwise, find the node definition that has a when
@@ -424,7 +1080,15 @@ class CdkTree {
      * within the data node view container.
      */
     insertNode(nodeData, index, viewContainer, parentData) {
-        const node = this._getNodeDef(nodeData, index);
+        // Use default tree nodeOutlet, or nested node's nodeOutlet
+        const container = viewContainer ? viewContainer : this._nodeOutlet.viewContainer;
+        if (nodeData instanceof CdkTreeNodePlaceholderContext) {
+            this._insertPlaceholder(nodeData, index, container);
+            return;
+        }
+        // When virtual scrolling, the index is relative to the start of the rendered range.
+        const dataIndex = this._renderedRange ? this._renderedRange.start + index : index;
+        const node = this._getNodeDef(nodeData, dataIndex);
         // Node context that will be provided to created embedded view
         const context = new CdkTreeNodeOutletContext(nodeData);
         // If the tree is flat tree, then use the `getLevel` function in flat tree control
@@ -439,8 +1103,6 @@ class CdkTree {
             context.level = 0;
         }
         this._levels.set(nodeData, context.level);
-        // Use default tree nodeOutlet, or nested node's nodeOutlet
-        const container = viewContainer ? viewContainer : this._nodeOutlet.viewContainer;
         container.createEmbeddedView(node.template, context, index);
         // Set the data to just created `CdkTreeNode`.
         // The `CdkTreeNode` created from `createEmbeddedView` will be saved in static variable
@@ -449,6 +1111,17 @@ class CdkTree {
             CdkTreeNode.mostRecentTreeNode.data = nodeData;
         }
     }
+    /** Creates the embedded view of a placeholder at the specified index. */
+    _insertPlaceholder(context, index, viewContainer) {
+        const parentData = context.$implicit;
+        if (this.treeControl.getLevel) {
+            context.level = this.treeControl.getLevel(parentData) + 1;
+        }
+        else {
+            context.level = this._levels.has(parentData) ? this._levels.get(parentData) + 1 : 0;
+        }
+        viewContainer.createEmbeddedView(this._placeholderDef.template, context, index);
+    }
 }
 CdkTree.decorators = [
     { type: Component, args: [{
@@ -458,6 +1131,8 @@ CdkTree.decorators = [
                 host: {
                     'class': 'cdk-tree',
                     'role': 'tree',
+                    '(keydown)': '_handleKeydown($event)',
+                    '(focusin)': '_handleFocus($event)',
                 },
                 encapsulation: ViewEncapsulation.None,
                 // The "OnPush" status for the `CdkTree` component is effectively a noop, so we are removing it.
@@ -469,7 +1144,10 @@ CdkTree.decorators = [
 ];
 CdkTree.ctorParameters = () => [
     { type: IterableDiffers },
-    { type: ChangeDetectorRef }
+    { type: ChangeDetectorRef },
+    { type: NgZone, decorators: [{ type: Optional }] },
+    { type: CdkVirtualScrollViewport, decorators: [{ type: Optional }, { type: Self }, { type: Inject, args: [_TREE_VIRTUAL_SCROLL_VIEWPORT,] }] },
+    { type: Directionality, decorators: [{ type: Optional }] }
 ];
 CdkTree.propDecorators = {
     dataSource: [{ type: Input }],
@@ -480,7 +1158,8 @@ CdkTree.propDecorators = {
                     // We need to use `descendants: true`, because Ivy will no longer match
                     // indirect descendants if it's left as false.
                     descendants: true
-                },] }]
+                },] }],
+    _placeholderDef: [{ type: ContentChild, args: [CdkTreeNodePlaceholderDef,] }]
 };
 /**
  * Tree node for CdkTree. It contains the data in the tree node.
@@ -524,9 +1203,20 @@ class CdkTreeNode {
     get isExpanded() {
         return this._tree.treeControl.isExpanded(this._data);
     }
+    /** Whether the node can be expanded. */
+    get isExpandable() {
+        const treeControl = this._tree.treeControl;
+        return treeControl.isExpandable ? treeControl.isExpandable(this._data) : this._hasChildren();
+    }
     _setExpanded(_expanded) {
         this._isAriaExpanded = _expanded;
-        this._elementRef.nativeElement.setAttribute('aria-expanded', `${_expanded}`);
+        // Only nodes that can be expanded should have `aria-expanded`.
+        if (_expanded == null) {
+            this._elementRef.nativeElement.removeAttribute('aria-expanded');
+        }
+        else {
+            this._elementRef.nativeElement.setAttribute('aria-expanded', `${_expanded}`);
+        }
     }
     get level() {
         // If the treeControl has a getLevel method, use it to get the level. Otherwise read the
@@ -538,14 +1228,16 @@ class CdkTreeNode {
     ngOnInit() {
         this._parentNodeAriaLevel = getParentNodeAriaLevel(this._elementRef.nativeElement);
         this._elementRef.nativeElement.setAttribute('aria-level', `${this.level + 1}`);
+        this._tree._registerNode(this);
     }
     ngDoCheck() {
         // aria-expanded is be set here because the expanded state is stored in the tree control and
         // the node isn't aware when the state is changed.
         // It is not set using a @HostBinding because they sometimes get lost with Mixin based classes.
         // TODO: move to host after View Engine deprecation
-        if (this.isExpanded != this._isAriaExpanded) {
-            this._setExpanded(this.isExpanded);
+        const isExpanded = this.isExpandable ? this.isExpanded : null;
+        if (isExpanded !== this._isAriaExpanded) {
+            this._setExpanded(isExpanded);
         }
     }
     ngOnDestroy() {
@@ -554,6 +1246,7 @@ class CdkTreeNode {
         if (CdkTreeNode.mostRecentTreeNode === this) {
             CdkTreeNode.mostRecentTreeNode = null;
         }
+        this._tree._unregisterNode(this);
         this._dataChanges.complete();
         this._destroyed.next();
         this._destroyed.complete();
@@ -562,6 +1255,32 @@ class CdkTreeNode {
     focus() {
         this._elementRef.nativeElement.focus();
     }
+    /** Expands the node. */
+    expand() {
+        this._tree.treeControl.expand(this._data);
+    }
+    /** Collapses the node. */
+    collapse() {
+        this._tree.treeControl.collapse(this._data);
+    }
+    /** Gets the label of the node. Used for type-ahead. */
+    getLabel() {
+        return (this._elementRef.nativeElement.textContent || '').trim();
+    }
+    /**
+     * Gets the host element of the node.
+     * @docs-private
+     */
+    _getHostElement() {
+        return this._elementRef.nativeElement;
+    }
+    /**
+     * Whether the node has any children. Only used if the tree control can't
+     * determine whether a node is expandable, e.g. in nested trees.
+     */
+    _hasChildren() {
+        return false;
+    }
     // TODO: role should eventually just be set in the component host
     _setRoleFromData() {
         if (!this._tree.treeControl.isExpandable && !this._tree.treeControl.getChildren &&
@@ -641,7 +1360,7 @@ class CdkNestedTreeNode extends CdkTreeNode {
         this._elementRef.nativeElement.classList.add('cdk-nested-tree-node');
     }
     ngAfterContentInit() {
-        this._dataDiffer = this._differs.find([]).create(this._tree.trackBy);
+        this._dataDiffer = this._differs.find([]).create(this._tree._trackNode);
         if (!this._tree.treeControl.getChildren && (typeof ngDevMode === 'undefined' || ngDevMode)) {
             throw getTreeControlFunctionsMissingError();
         }
@@ -668,6 +1387,20 @@ class CdkNestedTreeNode extends CdkTreeNode {
         this._clear();
         super.ngOnDestroy();
     }
+    /** Whether the node has any children. */
+    _hasChildren() {
+        if (this._children && this._children.length > 0) {
+            return true;
+        }
+        // Nodes whose children are loaded lazily are considered expandable
+        // until we know that there aren't any children to load.
+        const treeControl = this._tree.treeControl;
+        if (treeControl.loadChildren && treeControl.getChildrenState) {
+            const state = treeControl.getChildrenState(this._data);
+            return !state || state.loading || state.hasMore || !!state.error;
+        }
+        return false;
+    }
     /** Add children dataNodes to the NodeOutlet */
     updateChildrenNodes(children) {
         const outlet = this._getNodeOutlet();
@@ -889,11 +1622,13 @@ CdkTreeNodeToggle.propDecorators = {
 const EXPORTED_DECLARATIONS = [
     CdkNestedTreeNode,
     CdkTreeNodeDef,
+    CdkTreeNodePlaceholderDef,
     CdkTreeNodePadding,
     CdkTreeNodeToggle,
     CdkTree,
     CdkTreeNode,
     CdkTreeNodeOutlet,
+    CdkTreeVirtualScroll,
 ];
 class CdkTreeModule {
 }
@@ -916,5 +1651,5 @@ CdkTreeModule.decorators = [
  * Generated bundle index. Do not edit.
  */
 
-export { BaseTreeControl, CDK_TREE_NODE_OUTLET_NODE, CdkNestedTreeNode, CdkTree, CdkTreeModule, CdkTreeNode, CdkTreeNodeDef, CdkTreeNodeOutlet, CdkTreeNodeOutletContext, CdkTreeNodePadding, CdkTreeNodeToggle, FlatTreeControl, NestedTreeControl, getTreeControlFunctionsMissingError, getTreeControlMissingError, getTreeMissingMatchingNodeDefError, getTreeMultipleDefaultNodeDefsError, getTreeNoValidDataSourceError };
+export { BaseTreeControl, CDK_TREE_NODE_OUTLET_NODE, CdkNestedTreeNode, CdkTree, CdkTreeModule, CdkTreeNode, CdkTreeNodeDef, CdkTreeNodeOutlet, CdkTreeNodeOutletContext, CdkTreeNodePadding, CdkTreeNodePlaceholderContext, CdkTreeNodePlaceholderDef, CdkTreeNodeToggle, CdkTreeVirtualScroll, FlatTreeControl, NestedTreeControl, TreeKeyManager, _TREE_VIRTUAL_SCROLL_VIEWPORT, getTreeControlFunctionsMissingError, getTreeControlMissingError, getTreeMissingMatchingNodeDefError, getTreeMultipleDefaultNodeDefsError, getTreeNoValidDataSourceError, getTreeVirtualScrollRequiresFlatTreeError };
 //# sourceMappingURL=tree.js.map
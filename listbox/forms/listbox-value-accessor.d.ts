@@ -0,0 +1,18 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * Provider that allows the listbox to register as a ControlValueAccessor.
+ * @docs-private
+ */
+export declare const CDK_LISTBOX_VALUE_ACCESSOR: any;
+/**
+ * Registers a `CdkListbox` as the value accessor of the form control on the same element. Lives
+ * in its own entry point so that the listbox can be used without bringing in `@angular/forms`.
+ */
+export declare class CdkListboxValueAccessor {
+}
@@ -0,0 +1,28 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { InjectionToken } from '@angular/core';
+/**
+ * Popup panel that a listbox can be rendered in, e.g. the panel of a combobox. The listbox hands
+ * its selected values to the panel and asks it to close once the user is done picking options.
+ */
+export interface CdkListboxPanel<T = unknown> {
+    /** Updates the value that is controlled by the panel without closing it. */
+    updateValue(data: T | T[]): void;
+    /** Closes the panel, optionally updating the value that is controlled by the panel. */
+    closePanel(data?: T | T[]): void;
+    /** Registers the element that renders the content of the panel. */
+    _registerContent(element: HTMLElement, id: string, contentType?: 'listbox'): void;
+    /** Removes the reference to the content of the panel once it is destroyed. */
+    _unregisterContent(element: HTMLElement): void;
+}
+/**
+ * Injection token that can be used by a popup panel, like `CdkComboboxPanel`, to provide itself
+ * to a listbox that is rendered inside of it. Used to avoid a dependency from the listbox on the
+ * packages that can host it.
+ */
+export declare const CDK_LISTBOX_PANEL: InjectionToken<CdkListboxPanel<unknown>>;
@@ -0,0 +1,199 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { ActiveDescendantKeyManager, Highlightable, ListKeyManagerOption } from '@angular/cdk/a11y';
+import { Directionality } from '@angular/cdk/bidi';
+import { BooleanInput } from '@angular/cdk/coercion';
+import { SelectionModel } from '@angular/cdk/collections';
+import { AfterContentInit, ElementRef, EventEmitter, OnDestroy, QueryList } from '@angular/core';
+import { CdkListboxPanel } from './listbox-panel';
+/** Event that is emitted when the user changes the value of a listbox. */
+export interface ListboxValueChangeEvent<T> {
+    /** Values that are selected in the listbox after the change. */
+    readonly value: readonly T[];
+    /** Listbox whose value changed. */
+    readonly listbox: CdkListbox<T>;
+    /** Option that was interacted with, if any. */
+    readonly option: CdkOption<T> | null;
+}
+/** A selectable option in a listbox. */
+export declare class CdkOption<T = unknown> implements ListKeyManagerOption, Highlightable {
+    readonly _elementRef: ElementRef<HTMLElement>;
+    /** Listbox that the option belongs to. */
+    readonly listbox: CdkListbox<T>;
+    /** Unique ID of the option. */
+    id: string;
+    /** Value of the option. */
+    value: T;
+    /**
+     * The text used to locate this item during listbox typeahead. If not specified,
+     * the `textContent` of the option will be used.
+     */
+    typeaheadLabel: string | null;
+    /** Whether the option is disabled. */
+    get disabled(): boolean;
+    set disabled(value: boolean);
+    private _disabled;
+    /**
+     * Whether the option is the active descendant of the listbox.
+     * @docs-private
+     */
+    _active: boolean;
+    constructor(_elementRef: ElementRef<HTMLElement>, 
+    /** Listbox that the option belongs to. */
+    listbox: CdkListbox<T>);
+    /** Whether the option is selected. */
+    isSelected(): boolean;
+    /** Whether the option is the active descendant of the listbox. */
+    isActive(): boolean;
+    /** Selects the option. */
+    select(): void;
+    /** Deselects the option. */
+    deselect(): void;
+    /** Toggles the selected state of the option. */
+    toggle(): void;
+    /** Gets the label that is used for typeahead, as required by `ListKeyManagerOption`. */
+    getLabel(): string;
+    /** Marks the option as the active descendant of the listbox. */
+    setActiveStyles(): void;
+    /** Marks the option as no longer being the active descendant of the listbox. */
+    setInactiveStyles(): void;
+    /**
+     * Whether the user shouldn't be able to interact with the option.
+     * @docs-private
+     */
+    _isInteractionDisabled(): boolean;
+    /** Handles clicks on the option. */
+    _handleClick(): void;
+    static ngAcceptInputType_disabled: BooleanInput;
+}
+/**
+ * A listbox which allows the user to select one or more options. The listbox is focused as a
+ * whole and indicates the active option through `aria-activedescendant`. The selected values
+ * are kept in a `SelectionModel` and can be bound through Angular forms by importing the
+ * `CdkListboxFormsModule` from `@angular/cdk/listbox/forms`.
+ */
+export declare class CdkListbox<T = unknown> implements AfterContentInit, OnDestroy {
+    private readonly _elementRef;
+    private readonly _dir?;
+    private readonly _injectedComboboxPanel?;
+    /** Unique ID of the listbox. */
+    id: string;
+    /** Values that are selected in the listbox. */
+    get value(): readonly T[];
+    set value(value: readonly T[]);
+    /** Whether the listbox allows multiple options to be selected. */
+    get multiple(): boolean;
+    set multiple(value: boolean);
+    private _multiple;
+    /** Whether the listbox is disabled. */
+    get disabled(): boolean;
+    set disabled(value: boolean);
+    private _disabled;
+    /** Orientation of the listbox's options. */
+    orientation: 'horizontal' | 'vertical';
+    /** Function used to compare an option's value with the selected values. */
+    compareWith: (o1: T, o2: T) => boolean;
+    /**
+     * Combobox panel that the listbox is rendered in. Only has to be set if the panel
+     * can't be injected, e.g. when the app is using View Engine.
+     */
+    comboboxPanel: CdkListboxPanel<T> | null;
+    /** Emits when the user changes the selected values of the listbox. */
+    readonly valueChange: EventEmitter<ListboxValueChangeEvent<T>>;
+    /** The options in the listbox. */
+    options: QueryList<CdkOption<T>>;
+    /**
+     * Keeps track of the values that are selected in the listbox. The model always allows multiple
+     * values since the inputs can be set in any order. Single selection is enforced by the listbox.
+     */
+    protected readonly _selectionModel: SelectionModel<T>;
+    /** Manages the active option of the listbox. */
+    protected _listKeyManager: ActiveDescendantKeyManager<CdkOption<T>>;
+    /** Emits when the listbox is destroyed. */
+    private readonly _destroyed;
+    /** Callback that is invoked when the value of the listbox changes. */
+    private _onChange;
+    /**
+     * Callback that is invoked when the listbox is blurred.
+     * @docs-private
+     */
+    _onTouched: () => void;
+    constructor(_elementRef: ElementRef<HTMLElement>, _dir?: Directionality | undefined, _injectedComboboxPanel?: CdkListboxPanel<T> | undefined);
+    ngAfterContentInit(): void;
+    ngOnDestroy(): void;
+    /** Whether a value is selected in the listbox. */
+    isValueSelected(value: T): boolean;
+    /** Selects a value. Replaces the current value if the listbox only allows one selection. */
+    select(value: T): void;
+    /** Deselects a value. */
+    deselect(value: T): void;
+    /** Toggles the selected state of a value. */
+    toggle(value: T): void;
+    /** Selects all of the options that aren't disabled. Only works if `multiple` is enabled. */
+    selectAll(): void;
+    /** Deselects all of the options that aren't disabled. */
+    deselectAll(): void;
+    /** Moves focus to the listbox. */
+    focus(): void;
+    /**
+     * Sets the value of the listbox from a form control.
+     * @docs-private
+     */
+    writeValue(value: T | readonly T[] | null): void;
+    /**
+     * Registers a callback that is invoked when the value of the listbox changes.
+     * @docs-private
+     */
+    registerOnChange(fn: (value: T | readonly T[] | null) => void): void;
+    /**
+     * Registers a callback that is invoked when the listbox is blurred.
+     * @docs-private
+     */
+    registerOnTouched(fn: () => {}): void;
+    /**
+     * Disables the listbox from a form control.
+     * @docs-private
+     */
+    setDisabledState(isDisabled: boolean): void;
+    /** Gets the tabindex of the listbox. */
+    _getTabIndex(): number | null;
+    /** Gets the ID of the active option, if any. */
+    _getAriaActiveDescendant(): string | null;
+    /**
+     * Makes an option the active descendant of the listbox.
+     * @docs-private
+     */
+    _setActiveOption(option: CdkOption<T>): void;
+    /**
+     * Activates the first selected option, or the first option, when the listbox receives focus.
+     * @docs-private
+     */
+    _handleFocus(): void;
+    /** Handles keyboard events on the listbox. */
+    _handleKeydown(event: KeyboardEvent): void;
+    /**
+     * Selects an option as a result of a user interaction. Options are toggled if the listbox
+     * allows multiple selections and selected otherwise.
+     * @docs-private
+     */
+    _selectOptionFromUser(option: CdkOption<T>, action?: 'toggle' | 'select'): void;
+    /** Moves the active option when the user is pressing the shift key. */
+    private _moveActiveOption;
+    /** Notifies the form control and the outputs that the user changed the value. */
+    private _emitValueChange;
+    /** Replaces the selected values of the listbox. */
+    private _setSelection;
+    /** Gets the selected value that is equal to a particular value, according to `compareWith`. */
+    private _getSelectedValue;
+    /** Scrolls the active option into view, if it is outside of the listbox's scrollable area. */
+    private _scrollActiveOptionIntoView;
+    /** Gets the combobox panel that the listbox is rendered in, if any. */
+    private _getComboboxPanel;
+    static ngAcceptInputType_multiple: BooleanInput;
+    static ngAcceptInputType_disabled: BooleanInput;
+}
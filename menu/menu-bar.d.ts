@@ -0,0 +1,26 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { Directionality } from '@angular/cdk/bidi';
+import { ElementRef, NgZone } from '@angular/core';
+import { MenuAim } from './menu-aim';
+import { CdkMenuBase } from './menu-base';
+/**
+ * Directive applied to an element which configures it as a MenuBar by setting the appropriate
+ * role, aria attributes, and accessible keyboard and mouse handling logic. The component that
+ * this directive is applied to should contain components marked with CdkMenuItem.
+ */
+export declare class CdkMenuBar extends CdkMenuBase {
+    /** Orientation of the menu bar's items. */
+    orientation: 'horizontal' | 'vertical';
+    constructor(elementRef: ElementRef<HTMLElement>, ngZone: NgZone, menuAim?: MenuAim, dir?: Directionality);
+    /**
+     * Whether the menu is always rendered in the page, as opposed to inside of an overlay.
+     * @docs-private
+     */
+    _isInline(): boolean;
+}
@@ -0,0 +1,87 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { FocusKeyManager, FocusOrigin } from '@angular/cdk/a11y';
+import { Directionality } from '@angular/cdk/bidi';
+import { AfterContentInit, ElementRef, NgZone, OnDestroy, QueryList } from '@angular/core';
+import { Subject } from 'rxjs';
+import { MenuAim } from './menu-aim';
+import { Menu } from './menu-interface';
+import { CdkMenuItem } from './menu-item';
+import { MenuStack } from './menu-stack';
+/**
+ * Abstract directive that implements the behavior shared by `CdkMenu` and `CdkMenuBar`, such as
+ * keyboard navigation between the items and a roving tabindex.
+ */
+export declare abstract class CdkMenuBase implements Menu, AfterContentInit, OnDestroy {
+    readonly _elementRef: ElementRef<HTMLElement>;
+    protected readonly _ngZone: NgZone;
+    private readonly _menuAim?;
+    protected readonly _dir?: Directionality | undefined;
+    /** Unique ID of the menu. */
+    id: string;
+    /** Orientation of the menu's items. */
+    abstract orientation: 'horizontal' | 'vertical';
+    /**
+     * Stack of the open menus that the menu belongs to.
+     * @docs-private
+     */
+    _menuStack: MenuStack | null;
+    /** All of the menu items inside of the menu, including the ones of nested menus. */
+    _allItems: QueryList<CdkMenuItem>;
+    /**
+     * Menu items which belong directly to the menu.
+     * @docs-private
+     */
+    readonly _items: QueryList<CdkMenuItem>;
+    /** Handles keyboard events for the menu. */
+    protected _keyManager: FocusKeyManager<CdkMenuItem>;
+    /** Emits when the menu is destroyed. */
+    protected readonly _destroyed: Subject<void>;
+    /** Keeps track of the item that is under the user's pointer. */
+    private _pointerTracker;
+    /** Item that should be focused once the items have been initialized. */
+    private _pendingFocus;
+    constructor(_elementRef: ElementRef<HTMLElement>, _ngZone: NgZone, _menuAim?: MenuAim | undefined, _dir?: Directionality | undefined);
+    ngAfterContentInit(): void;
+    ngOnDestroy(): void;
+    /** Moves focus to the first item of the menu. */
+    focusFirstItem(focusOrigin?: FocusOrigin): void;
+    /** Moves focus to the last item of the menu. */
+    focusLastItem(focusOrigin?: FocusOrigin): void;
+    /**
+     * Whether the menu is always rendered in the page, as opposed to inside of an overlay.
+     * @docs-private
+     */
+    abstract _isInline(): boolean;
+    /**
+     * Handles keyboard events for the menu.
+     * @docs-private
+     */
+    _handleKeyEvent(event: KeyboardEvent): void;
+    /**
+     * Keeps the key manager in sync when one of the items is focused through other means,
+     * e.g. when the user clicks on it.
+     * @docs-private
+     */
+    _handleFocusIn(event: FocusEvent): void;
+    /** Moves focus between the items, keeping a submenu open if one was open before. */
+    private _moveFocus;
+    /** Sets up the key manager that handles keyboard navigation between the items. */
+    private _setKeyManager;
+    /**
+     * Implements a roving tabindex for inline menus, where only the active item can be reached
+     * by tabbing. Items of menus in an overlay are never tabbable.
+     */
+    private _updateTabIndices;
+    /** Whether the menu is the one from which the rest of the menus in the stack are opened. */
+    private _isRoot;
+    /** Moves focus within the root menu once all of the menus in the stack have been closed. */
+    private _subscribeToMenuStack;
+    /** Sets up the menu aim service, if one was provided, to track the user's pointer. */
+    private _setUpMenuAim;
+}
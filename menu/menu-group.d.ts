@@ -0,0 +1,13 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * Directive which groups related menu items. Only one of the `cdkMenuItemRadio` items inside of
+ * a group can be checked at a time.
+ */
+export declare class CdkMenuGroup {
+}
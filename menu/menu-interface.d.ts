@@ -0,0 +1,25 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { FocusOrigin } from '@angular/cdk/a11y';
+import { ElementRef, InjectionToken } from '@angular/core';
+import { MenuStackItem } from './menu-stack';
+/** Injection token used to return classes implementing the Menu interface. */
+export declare const CDK_MENU: InjectionToken<Menu>;
+/** Interface which specifies Menu operations and used to break circular dependency issues. */
+export interface Menu extends MenuStackItem {
+    /** Element which the menu is attached to. */
+    _elementRef: ElementRef<HTMLElement>;
+    /** Orientation of the menu's items. */
+    orientation: 'horizontal' | 'vertical';
+    /** Unique ID of the menu. */
+    id: string;
+    /** Moves focus to the first item of the menu. */
+    focusFirstItem(focusOrigin?: FocusOrigin): void;
+    /** Moves focus to the last item of the menu. */
+    focusLastItem(focusOrigin?: FocusOrigin): void;
+}
@@ -0,0 +1,15 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { CdkMenuItemSelectable } from './menu-item-selectable';
+/**
+ * A directive providing behavior for the "menuitemcheckbox" ARIA role, which behaves similarly to
+ * a conventional checkbox.
+ */
+export declare class CdkMenuItemCheckbox extends CdkMenuItemSelectable {
+    protected _toggleChecked(): void;
+}
@@ -0,0 +1,31 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { Directionality } from '@angular/cdk/bidi';
+import { UniqueSelectionDispatcher } from '@angular/cdk/collections';
+import { ElementRef, NgZone, OnDestroy } from '@angular/core';
+import { MenuAim } from './menu-aim';
+import { Menu } from './menu-interface';
+import { CdkMenuItemSelectable } from './menu-item-selectable';
+import { CdkMenuTrigger } from './menu-trigger';
+/**
+ * A directive providing behavior for the "menuitemradio" ARIA role, which behaves similarly to
+ * a conventional radio-button. Any sibling `CdkMenuItemRadio` instances within the same
+ * `CdkMenuGroup` (or menu, if the items aren't in a group) behave as a single radio-button group.
+ */
+export declare class CdkMenuItemRadio extends CdkMenuItemSelectable implements OnDestroy {
+    private readonly _selectionDispatcher;
+    /** An ID to identify this radio item to the `UniqueSelectionDispatcher`. */
+    private _id;
+    /** Function to unregister the selection dispatcher */
+    private _removeDispatcherListener;
+    constructor(_selectionDispatcher: UniqueSelectionDispatcher, elementRef: ElementRef<HTMLElement>, ngZone: NgZone, parentMenu?: Menu, menuAim?: MenuAim, dir?: Directionality, 
+    /** Reference to the CdkMenuTrigger directive if one is added to the same element. */
+    menuTrigger?: CdkMenuTrigger);
+    ngOnDestroy(): void;
+    protected _toggleChecked(): void;
+}
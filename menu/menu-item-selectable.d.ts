@@ -0,0 +1,21 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { BooleanInput } from '@angular/cdk/coercion';
+import { CdkMenuItem } from './menu-item';
+/** Base class providing checked state for selectable MenuItems. */
+export declare abstract class CdkMenuItemSelectable extends CdkMenuItem {
+    /** Whether the element is checked. */
+    get checked(): boolean;
+    set checked(value: boolean);
+    private _checked;
+    /** Toggles the checked state of the item and closes the open menus. */
+    trigger(): void;
+    /** Updates the checked state of the item when it is triggered. */
+    protected abstract _toggleChecked(): void;
+    static ngAcceptInputType_checked: BooleanInput;
+}
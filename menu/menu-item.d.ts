@@ -0,0 +1,108 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { FocusableOption } from '@angular/cdk/a11y';
+import { Directionality } from '@angular/cdk/bidi';
+import { BooleanInput } from '@angular/cdk/coercion';
+import { ElementRef, EventEmitter, NgZone, OnDestroy } from '@angular/core';
+import { Subject } from 'rxjs';
+import { FocusableElement } from './item-pointer-entries';
+import { MenuAim, Toggler } from './menu-aim';
+import { Menu } from './menu-interface';
+import { CdkMenuTrigger } from './menu-trigger';
+/**
+ * Directive which provides the ability for an element to be focused and navigated to using the
+ * keyboard when residing in a CdkMenu, CdkMenuBar, or CdkMenuGroup. It performs user defined
+ * behavior when clicked, or opens a submenu when combined with a `cdkMenuTriggerFor`.
+ */
+export declare class CdkMenuItem implements FocusableOption, FocusableElement, Toggler, OnDestroy {
+    readonly _elementRef: ElementRef<HTMLElement>;
+    private readonly _ngZone;
+    /** The menu that the item belongs to. */
+    readonly _parentMenu?: Menu | undefined;
+    /** Reference to the provided menu aim service. */
+    private readonly _menuAim?;
+    private readonly _dir?;
+    /** Reference to the CdkMenuTrigger directive if one is added to the same element. */
+    readonly _menuTrigger?: CdkMenuTrigger | undefined;
+    /** Whether the menu item is disabled. */
+    get disabled(): boolean;
+    set disabled(value: boolean);
+    private _disabled;
+    /**
+     * The text used to locate this item during menu typeahead. If not specified,
+     * the `textContent` of the item will be used.
+     */
+    typeaheadLabel: string | null;
+    /**
+     * If this MenuItem is a regular MenuItem, outputs when it is triggered by a keyboard or mouse
+     * event.
+     */
+    readonly triggered: EventEmitter<void>;
+    /**
+     * The tabindex for this menu item managed internally and used for implementing roving a
+     * tab index.
+     * @docs-private
+     */
+    _tabindex: 0 | -1;
+    /** Emits when the menu item is destroyed. */
+    protected readonly _destroyed: Subject<void>;
+    constructor(_elementRef: ElementRef<HTMLElement>, _ngZone: NgZone, 
+    /** The menu that the item belongs to. */
+    _parentMenu?: Menu | undefined, 
+    /** Reference to the provided menu aim service. */
+    _menuAim?: MenuAim | undefined, _dir?: Directionality | undefined, 
+    /** Reference to the CdkMenuTrigger directive if one is added to the same element. */
+    _menuTrigger?: CdkMenuTrigger | undefined);
+    /** Place focus on the element. */
+    focus(): void;
+    /**
+     * If the menu item is not disabled and the element does not have a menu trigger attached, emit
+     * on the cdkMenuItemTriggered emitter and close all open menus.
+     */
+    trigger(): void;
+    /** Whether the menu item opens a menu. */
+    hasMenu(): boolean;
+    /** Return true if this MenuItem has an attached menu and it is open. */
+    isMenuOpen(): boolean;
+    /**
+     * Get a reference to the rendered Menu if the Menu is open and it is visible in the DOM.
+     * @return the menu if it is open, otherwise undefined.
+     */
+    getMenu(): Menu | undefined;
+    /** Get the CdkMenuTrigger associated with this element. */
+    getMenuTrigger(): CdkMenuTrigger | undefined;
+    /** Get the label for this element which is required by the FocusableOption interface. */
+    getLabel(): string;
+    ngOnDestroy(): void;
+    /**
+     * Handles keyboard events for the menu item, specifically either triggering the user defined
+     * callback or closing the menus when moving back towards the root menu.
+     * @docs-private
+     */
+    _onKeydown(event: KeyboardEvent): void;
+    /**
+     * Closes the parent menu when the user presses the arrow pointing back towards the root menu.
+     * If the menus were opened from a horizontal root menu (e.g. a menu bar), the root menu moves
+     * focus to its previous item once all of the menus are closed.
+     */
+    private _backArrowPressed;
+    /**
+     * Closes all of the menus when the user presses the arrow pointing away from the root menu on
+     * an item without a submenu, if the root menu is horizontal. The root menu then moves focus to
+     * its next item.
+     */
+    private _forwardArrowPressed;
+    /**
+     * Subscribe to the mouseenter events and close any sibling menu items if this element is moused
+     * into. If the item opens a submenu, the submenu is opened instead.
+     */
+    private _setupMouseEnter;
+    /** Gets the stack of menus that the item's parent menu belongs to. */
+    private _getMenuStack;
+    static ngAcceptInputType_disabled: BooleanInput;
+}
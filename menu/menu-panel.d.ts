@@ -0,0 +1,28 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { TemplateRef } from '@angular/core';
+import { Menu } from './menu-interface';
+import { MenuStack } from './menu-stack';
+/**
+ * Directive applied to an ng-template which wraps a `cdkMenu` and provides a reference to the
+ * menu that can be passed to a `cdkMenuTriggerFor`. The menu is rendered inside of an overlay
+ * when the trigger is activated.
+ */
+export declare class CdkMenuPanel {
+    readonly _templateRef: TemplateRef<unknown>;
+    /** Reference to the menu that is rendered inside of the panel. */
+    _menu?: Menu;
+    /** Stack of the menus that the panel's menu is pushed onto when it is opened. */
+    _menuStack: MenuStack | null;
+    constructor(_templateRef: TemplateRef<unknown>);
+    /**
+     * Sets the menu rendered inside of the panel and pushes it onto the menu stack.
+     * @docs-private
+     */
+    _registerMenu(menu: Menu): void;
+}
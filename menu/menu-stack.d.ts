@@ -0,0 +1,95 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { Observable } from 'rxjs';
+import { Menu } from './menu-interface';
+/** Actions that the root menu should perform once all of the open menus have been closed. */
+export declare enum FocusNext {
+    /** Move focus to the next item of the root menu and open its menu. */
+    nextItem = 0,
+    /** Move focus to the previous item of the root menu and open its menu. */
+    previousItem = 1,
+    /** Move focus back to the active item of the root menu. */
+    currentItem = 2
+}
+/** Item that can be pushed onto a `MenuStack`. */
+export interface MenuStackItem {
+    /** Stack of menus that the item belongs to. */
+    _menuStack: MenuStack | null;
+}
+/** Event that is emitted when a menu is closed through the menu stack. */
+export interface MenuStackCloseEvent {
+    /** Menu that was closed. */
+    item: MenuStackItem;
+    /** Whether focus should be moved back to the trigger that opened the menu. */
+    focusParentTrigger: boolean;
+}
+/** Options that determine where focus goes when menus are closed through the menu stack. */
+export interface MenuStackCloseOptions {
+    /** Action that the root menu should perform if closing the menus empties the stack. */
+    focusNextOnEmpty?: FocusNext;
+    /** Whether focus should be moved back to the triggers of the menus that were closed. */
+    focusParentTrigger?: boolean;
+}
+/**
+ * Keeps track of the menus that are open, starting with the menu that was opened from the root
+ * menu (e.g. a menu bar) and ending with the most recently opened submenu. Closing a menu through
+ * the stack also closes all of the menus that were opened from it.
+ */
+export declare class MenuStack {
+    /**
+     * Menu from which the other menus are opened and which is always visible, e.g. a menu bar.
+     * Null if the menus were opened from a trigger that isn't inside of a menu.
+     */
+    readonly root: Menu | null;
+    /** Menus that are currently open, from the first one to the most recently opened one. */
+    private readonly _elements;
+    /** Emits the menus that are closed, most recently opened first. */
+    private readonly _closed;
+    /** Emits once the stack has been emptied. */
+    private readonly _emptied;
+    /** Emits the menus that are closed, most recently opened first. */
+    readonly closed: Observable<MenuStackCloseEvent>;
+    /** Emits the action that the root menu should perform once the stack has been emptied. */
+    readonly emptied: Observable<FocusNext | undefined>;
+    constructor(
+    /**
+     * Menu from which the other menus are opened and which is always visible, e.g. a menu bar.
+     * Null if the menus were opened from a trigger that isn't inside of a menu.
+     */
+    root?: Menu | null);
+    /** Adds a menu that was just opened to the top of the stack. */
+    push(menu: MenuStackItem): void;
+    /**
+     * Closes a menu, along with all of the menus that were opened after it.
+     * @param lastItem Menu that should be closed.
+     * @param options Options that determine where focus goes after the menus are closed.
+     */
+    close(lastItem: MenuStackItem, options?: MenuStackCloseOptions): void;
+    /**
+     * Closes all of the menus that were opened after a particular menu. Closes all of the
+     * menus in the stack if the root menu is passed in.
+     * @param lastItem Menu whose submenus should be closed.
+     * @returns Whether any menus were closed.
+     */
+    closeSubMenuOf(lastItem: MenuStackItem): boolean;
+    /**
+     * Closes all of the menus in the stack.
+     * @param options Options that determine where focus goes after the menus are closed.
+     */
+    closeAll(options?: MenuStackCloseOptions): void;
+    /** Whether there are no open menus. */
+    isEmpty(): boolean;
+    /** Number of open menus. */
+    length(): number;
+    /** Gets the most recently opened menu. */
+    peek(): MenuStackItem | undefined;
+    /** Whether the menus in the stack are opened from a root menu with a specific orientation. */
+    hasRootWithOrientation(orientation: 'horizontal' | 'vertical'): boolean;
+    /** Completes the stack's streams. */
+    destroy(): void;
+}
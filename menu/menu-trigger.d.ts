@@ -0,0 +1,88 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { Directionality } from '@angular/cdk/bidi';
+import { BooleanInput } from '@angular/cdk/coercion';
+import { ConnectedPosition, Overlay } from '@angular/cdk/overlay';
+import { ElementRef, EventEmitter, OnDestroy, ViewContainerRef } from '@angular/core';
+import { Menu } from './menu-interface';
+import { CdkMenuPanel } from './menu-panel';
+/**
+ * A directive that opens a menu panel inside of an overlay when the host element is clicked or
+ * when the user presses the keys that open a menu according to the WAI-ARIA menu pattern. It can
+ * be placed on a `cdkMenuItem` in order to open a submenu, or on any other element in order to
+ * open a standalone menu. The menu is positioned using a `FlexibleConnectedPositionStrategy`
+ * and is closed when the user clicks outside of it.
+ */
+export declare class CdkMenuTrigger implements OnDestroy {
+    private readonly _elementRef;
+    private readonly _viewContainerRef;
+    private readonly _overlay;
+    private readonly _parentMenu?;
+    private readonly _directionality?;
+    /** Template reference variable to the menu this trigger opens. */
+    get menuPanel(): CdkMenuPanel | null;
+    set menuPanel(panel: CdkMenuPanel | null);
+    private _menuPanel;
+    /**
+     * Positions in which the menu can be placed, in order of preference. Defaults to below the
+     * trigger when it is inside of a horizontal menu and to the side of the trigger when it is
+     * inside of a vertical menu.
+     */
+    menuPosition: ConnectedPosition[] | null;
+    /** Whether the trigger is disabled. Disabled triggers don't open their menu. */
+    get disabled(): boolean;
+    set disabled(value: boolean);
+    private _disabled;
+    /** Emits when the attached menu is requested to open. */
+    readonly opened: EventEmitter<void>;
+    /** Emits when the attached menu is requested to close. */
+    readonly closed: EventEmitter<void>;
+    /** A reference to the overlay which manages the triggered menu. */
+    private _overlayRef;
+    /** The content of the menu panel opened by this trigger. */
+    private _panelContent;
+    /** Stack of menus used when the trigger isn't placed inside of a menu. */
+    private _standaloneMenuStack;
+    /** Emits when the currently open menu is closed. */
+    private readonly _menuClosed;
+    /** Emits when this trigger is destroyed. */
+    private readonly _destroyed;
+    constructor(_elementRef: ElementRef<HTMLElement>, _viewContainerRef: ViewContainerRef, _overlay: Overlay, _parentMenu?: Menu | undefined, _directionality?: Directionality | undefined);
+    /** Whether the attached menu is open. */
+    isMenuOpen(): boolean;
+    /** Whether the trigger has a menu that it can open. */
+    hasMenu(): boolean;
+    /** Gets the menu that the trigger opened, if it is open. */
+    getMenu(): Menu | undefined;
+    /** Opens the attached menu if it is closed and closes it if it is open. */
+    toggle(): void;
+    /** Opens the attached menu, closing any of the sibling menus that are open. */
+    openMenu(): void;
+    /** Closes the attached menu, along with any of the submenus that were opened from it. */
+    closeMenu(): void;
+    ngOnDestroy(): void;
+    /** Gets the ID of the menu that the trigger opened, if it is open. */
+    _getMenuId(): string | null;
+    /** Handles keyboard events on the trigger. */
+    _handleKeydown(event: KeyboardEvent): void;
+    /** Moves focus into the open menu. */
+    private _focusMenu;
+    /** Detaches the overlay containing the menu and notifies any listeners. */
+    private _detachOverlay;
+    /** Gets the stack that the opened menu should be pushed onto. */
+    private _getMenuStack;
+    /** Detaches the menu once it has been closed through the menu stack. */
+    private _subscribeToMenuStack;
+    /** Closes all of the open menus when the user clicks outside of them. */
+    private _subscribeToOutsideClicks;
+    /** Gets the positions in which the menu can be placed. */
+    private _getOverlayPositions;
+    /** Gets the configuration for the overlay that the menu is rendered in. */
+    private _getOverlayConfig;
+    static ngAcceptInputType_disabled: BooleanInput;
+}
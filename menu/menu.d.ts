@@ -0,0 +1,38 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { Directionality } from '@angular/cdk/bidi';
+import { ElementRef, EventEmitter, NgZone, OnInit } from '@angular/core';
+import { MenuAim } from './menu-aim';
+import { CdkMenuBase } from './menu-base';
+import { CdkMenuPanel } from './menu-panel';
+/**
+ * Directive which configures the element as a Menu which should contain child elements marked as
+ * CdkMenuItem or CdkMenuGroup. Sets the appropriate role and aria-attributes for a menu and
+ * contains accessible keyboard and mouse handling logic.
+ *
+ * It also acts as a RadioGroup for elements marked with role `menuitemradio`.
+ */
+export declare class CdkMenu extends CdkMenuBase implements OnInit {
+    private readonly _injectedPanel?;
+    /** Orientation of the menu's items. */
+    orientation: 'horizontal' | 'vertical';
+    /**
+     * Panel that the menu is rendered in. Only has to be set if the panel
+     * can't be injected, e.g. when the app is using View Engine.
+     */
+    menuPanel: CdkMenuPanel | null;
+    /** Emits when the menu is closed through a keyboard, pointer or programmatic interaction. */
+    readonly closed: EventEmitter<void>;
+    constructor(elementRef: ElementRef<HTMLElement>, ngZone: NgZone, _injectedPanel?: CdkMenuPanel | undefined, menuAim?: MenuAim, dir?: Directionality);
+    ngOnInit(): void;
+    /**
+     * Whether the menu is always rendered in the page, as opposed to inside of an overlay.
+     * @docs-private
+     */
+    _isInline(): boolean;
+}
@@ -0,0 +1,22 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+export * from './item-pointer-entries';
+export * from './menu';
+export * from './menu-aim';
+export * from './menu-bar';
+export * from './menu-base';
+export * from './menu-group';
+export * from './menu-interface';
+export * from './menu-item';
+export * from './menu-item-checkbox';
+export * from './menu-item-radio';
+export * from './menu-item-selectable';
+export * from './menu-module';
+export * from './menu-panel';
+export * from './menu-stack';
+export * from './menu-trigger';
@@ -11,7 +11,7 @@ import { ElementRef, EventEmitter, InjectionToken, OnChanges, OnDestroy, SimpleC
 import { Overlay } from './overlay';
 import { OverlayRef } from './overlay-ref';
 import { ConnectedOverlayPositionChange } from './position/connected-position';
-import { ConnectedPosition, FlexibleConnectedPositionStrategy } from './position/flexible-connected-position-strategy';
+import { ConnectedPosition, FlexibleConnectedPositionStrategy, FlexibleConnectedPositionStrategyObstacle, FlexibleConnectedPositionStrategyOrigin } from './position/flexible-connected-position-strategy';
 import { RepositionScrollStrategy, ScrollStrategy } from './scroll/index';
 /** Injection token that determines the scroll handling while the connected overlay is open. */
 export declare const CDK_CONNECTED_OVERLAY_SCROLL_STRATEGY: InjectionToken<() => ScrollStrategy>;
@@ -48,8 +48,11 @@ export declare class CdkConnectedOverlay implements OnDestroy, OnChanges {
     private _offsetY;
     private _position;
     private _scrollStrategyFactory;
-    /** Origin for the connected overlay. */
-    origin: CdkOverlayOrigin;
+    /**
+     * Origin for the connected overlay. Can be a `CdkOverlayOrigin`, an element, a point or a
+     * virtual origin which supplies its own dimensions, e.g. the caret of a text selection.
+     */
+    origin: CdkOverlayOrigin | FlexibleConnectedPositionStrategyOrigin;
     /** Registered connected position pairs. */
     positions: ConnectedPosition[];
     /**
@@ -85,6 +88,14 @@ export declare class CdkConnectedOverlay implements OnDestroy, OnChanges {
     disableClose: boolean;
     /** CSS selector which to set the transform origin. */
     transformOriginSelector: string;
+    /** CSS selector of the arrow element inside the overlay which should point towards the origin. */
+    arrowSelector: string;
+    /** Minimum distance in pixels between the arrow and the corners of the overlay. */
+    arrowPadding: number;
+    /** Element, in addition to the viewport, within which the overlay has to fit. */
+    boundary: ElementRef | Element | null;
+    /** Elements or other overlays that the overlay should avoid overlapping. */
+    obstacles: FlexibleConnectedPositionStrategyObstacle[];
     /** Whether or not the overlay should attach a backdrop. */
     get hasBackdrop(): any;
     set hasBackdrop(value: any);
@@ -125,6 +136,8 @@ export declare class CdkConnectedOverlay implements OnDestroy, OnChanges {
     private _buildConfig;
     /** Updates the state of a position strategy, based on the values of the directive inputs. */
     private _updatePositionStrategy;
+    /** Gets the origin that should be passed to the position strategy. */
+    private _getFlexibleConnectedPositionStrategyOrigin;
     /** Returns the position strategy of the overlay to be set on the overlay config */
     private _createPositionStrategy;
     /** Attaches the overlay and subscribes to backdrop clicks if backdrop exists */
@@ -73,17 +73,38 @@ export declare class ScrollingVisibility {
     isOverlayClipped: boolean;
     isOverlayOutsideView: boolean;
 }
+/** Placement of an arrow inside of a connected overlay which points towards the origin. */
+export interface ConnectedOverlayArrowPosition {
+    /** Edge of the overlay on which the arrow sits, e.g. `top` if the overlay is below the origin. */
+    side: 'top' | 'bottom' | 'left' | 'right';
+    /**
+     * Distance in pixels from the left edge of the overlay to the left edge of the arrow if the
+     * arrow sits on the top or bottom edge, or from the top edge of the overlay to the top edge
+     * of the arrow if it sits on the left or right edge.
+     */
+    offset: number;
+}
 /** The change event emitted by the strategy when a fallback position is used. */
 export declare class ConnectedOverlayPositionChange {
     /** The position used as a result of this change. */
     connectionPair: ConnectionPositionPair;
     /** @docs-private */
     scrollableViewProperties: ScrollingVisibility;
+    /**
+     * Placement of the overlay's arrow, if the strategy was configured to position one
+     * through `withArrowOn` and the overlay is next to one of the origin's edges.
+     */
+    arrowPosition: ConnectedOverlayArrowPosition | null;
     constructor(
     /** The position used as a result of this change. */
     connectionPair: ConnectionPositionPair, 
     /** @docs-private */
-    scrollableViewProperties: ScrollingVisibility);
+    scrollableViewProperties: ScrollingVisibility, 
+    /**
+     * Placement of the overlay's arrow, if the strategy was configured to position one
+     * through `withArrowOn` and the overlay is next to one of the origin's edges.
+     */
+    arrowPosition?: ConnectedOverlayArrowPosition | null);
 }
 /**
  * Validates whether a vertical position property matches the expected values.
@@ -13,8 +13,26 @@ import { Observable } from 'rxjs';
 import { OverlayReference } from '../overlay-reference';
 import { Platform } from '@angular/cdk/platform';
 import { OverlayContainer } from '../overlay-container';
+/**
+ * Origin whose dimensions are supplied on demand, rather than by an element in the DOM. Can be
+ * used to connect an overlay to something like a text selection `Range` or a region of a canvas.
+ */
+export interface VirtualOverlayOrigin {
+    /** Gets the current dimensions of the origin, relative to the viewport. */
+    getBoundingClientRect(): ClientRect;
+    /** Emits when the origin has moved or changed its size and the overlay should be repositioned. */
+    changes?: Observable<unknown>;
+}
+/**
+ * Element that a FlexibleConnectedPositionStrategy should avoid overlapping. `OverlayRef`
+ * instances can be passed in directly, in which case they are only avoided while attached.
+ */
+export declare type FlexibleConnectedPositionStrategyObstacle = ElementRef | Element | {
+    overlayElement: HTMLElement;
+    hasAttached(): boolean;
+};
 /** Possible values that can be set as the origin of a FlexibleConnectedPositionStrategy. */
-export declare type FlexibleConnectedPositionStrategyOrigin = ElementRef | Element | Point & {
+export declare type FlexibleConnectedPositionStrategyOrigin = ElementRef | Element | VirtualOverlayOrigin | Point & {
     width?: number;
     height?: number;
 };
@@ -56,6 +74,14 @@ export declare class FlexibleConnectedPositionStrategy implements PositionStrate
     private _viewportMargin;
     /** The Scrollable containers used to check scrollable view properties on position change. */
     private _scrollables;
+    /** Element, in addition to the viewport, within which the overlay has to fit. */
+    private _boundary;
+    /** Cached boundary dimensions, narrowed down to the viewport. */
+    private _boundaryRect;
+    /** Elements that the overlay should avoid overlapping. */
+    private _obstacles;
+    /** Cached dimensions of the obstacles. */
+    private _obstacleRects;
     /** Ordered list of preferred positions, from most to least desirable. */
     _preferredPositions: ConnectionPositionPair[];
     /** The origin element against which the overlay will be positioned. */
@@ -75,12 +101,18 @@ export declare class FlexibleConnectedPositionStrategy implements PositionStrate
     private _positionChanges;
     /** Subscription to viewport size changes. */
     private _resizeSubscription;
+    /** Subscription to the changes of a virtual origin. */
+    private _originChangesSubscription;
     /** Default offset for the overlay along the x axis. */
     private _offsetX;
     /** Default offset for the overlay along the y axis. */
     private _offsetY;
     /** Selector to be used when finding the elements on which to set the transform origin. */
     private _transformOriginSelector;
+    /** Selector to be used when finding the arrow element inside the overlay. */
+    private _arrowSelector;
+    /** Minimum distance in pixels between the arrow and the corners of the overlay. */
+    private _arrowPadding;
     /** Keeps track of the CSS classes that the position strategy has applied on the overlay panel. */
     private _appliedPanelClasses;
     /** Amount by which the overlay was pushed in each axis during the last time it was positioned. */
@@ -127,6 +159,21 @@ export declare class FlexibleConnectedPositionStrategy implements PositionStrate
      * @param positions List of positions options for this overlay.
      */
     withPositions(positions: ConnectedPosition[]): this;
+    /**
+     * Sets an element, such as a scrolling panel or a dashboard tile, within which the overlay has
+     * to fit in addition to the viewport. The boundary is taken into account when picking one of
+     * the preferred positions and when pushing the overlay, however flexible dimensions are still
+     * only constrained by the viewport.
+     * @param boundary Element that the overlay has to fit within, or null to only use the viewport.
+     */
+    withBoundary(boundary: ElementRef | Element | null): this;
+    /**
+     * Sets elements that the overlay should avoid overlapping, such as other overlays. Preferred
+     * positions in which the overlay would cover one of them are treated as not fitting, and the
+     * fallback position that covers them the least is favored.
+     * @param obstacles Elements or overlays that the overlay should avoid overlapping.
+     */
+    withObstacles(obstacles: FlexibleConnectedPositionStrategyObstacle[]): this;
     /**
      * Sets a minimum distance the overlay may be positioned to the edge of the viewport.
      * @param margin Required margin between the overlay and the viewport edge in pixels.
@@ -149,7 +196,8 @@ export declare class FlexibleConnectedPositionStrategy implements PositionStrate
      * Sets the origin, relative to which to position the overlay.
      * Using an element origin is useful for building components that need to be positioned
      * relatively to a trigger (e.g. dropdown menus or tooltips), whereas using a point can be
-     * used for cases like contextual menus which open relative to the user's pointer.
+     * used for cases like contextual menus which open relative to the user's pointer. A virtual
+     * origin supplies its dimensions on demand and can notify the strategy when it has moved.
      * @param origin Reference to the new origin.
      */
     setOrigin(origin: FlexibleConnectedPositionStrategyOrigin): this;
@@ -172,6 +220,15 @@ export declare class FlexibleConnectedPositionStrategy implements PositionStrate
      *    elements onto which to set the transform origin.
      */
     withTransformOriginOn(selector: string): this;
+    /**
+     * Configures that the position strategy should position an arrow element inside the overlay,
+     * such that it points towards the center of the origin. The arrow is kept within the edges of
+     * the overlay, even if the overlay was pushed on-screen or its size was constrained. The
+     * applied placement is exposed through the `arrowPosition` of the position changes.
+     * @param selector CSS selector that will be used to find the arrow element inside the overlay.
+     * @param padding Minimum distance in pixels between the arrow and the corners of the overlay.
+     */
+    withArrowOn(selector: string, padding?: number): this;
     /**
      * Gets the (x, y) coordinate of a connection point on the origin based on a relative position.
      */
@@ -210,6 +267,15 @@ export declare class FlexibleConnectedPositionStrategy implements PositionStrate
     private _applyPosition;
     /** Sets the transform origin based on the configured selector and the passed-in position.  */
     private _setTransformOrigin;
+    /**
+     * Positions the arrow inside the overlay, based on the configured selector, such that it points
+     * towards the center of the origin while staying within the edges of the overlay.
+     * @returns The applied placement or null if there is no arrow or if the overlay isn't
+     *    next to one of the origin's edges.
+     */
+    private _setArrowStyles;
+    /** Gets the edge of the overlay which faces the origin, if the overlay is next to the origin. */
+    private _getArrowSide;
     /**
      * Gets the position and size of the overlay's sizing container.
      *
@@ -244,6 +310,18 @@ export declare class FlexibleConnectedPositionStrategy implements PositionStrate
     private _subtractOverflows;
     /** Narrows the given viewport rect by the current _viewportMargin. */
     private _getNarrowedViewportRect;
+    /**
+     * Gets the rect of the boundary, relative to the viewport, narrowed down
+     * to the part of it that is inside the viewport minus the viewport margin.
+     */
+    private _getBoundaryRect;
+    /** Gets the rects of the obstacles that the overlay should avoid, relative to the viewport. */
+    private _getObstacleRects;
+    /**
+     * Gets the area (in px^2) of the obstacles that an overlay at the given point would cover.
+     * Parts that are shared by overlapping obstacles are only counted once.
+     */
+    private _getObstructedArea;
     /** Whether the we're dealing with an RTL context */
     private _isRtl;
     /** Determines whether the overlay uses exact or flexible positioning. */
@@ -21,4 +21,4 @@ export { OverlayPositionBuilder } from './position/overlay-position-builder';
 export { PositionStrategy } from './position/position-strategy';
 export { GlobalPositionStrategy } from './position/global-position-strategy';
 export { ConnectedPositionStrategy } from './position/connected-position-strategy';
-export { ConnectedPosition, FlexibleConnectedPositionStrategy, FlexibleConnectedPositionStrategyOrigin, } from './position/flexible-connected-position-strategy';
+export { ConnectedPosition, FlexibleConnectedPositionStrategy, FlexibleConnectedPositionStrategyObstacle, FlexibleConnectedPositionStrategyOrigin, VirtualOverlayOrigin, } from './position/flexible-connected-position-strategy';
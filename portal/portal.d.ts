@@ -113,7 +113,7 @@ export declare abstract class BasePortalOutlet implements PortalOutlet {
     attach(portal: any): any;
     abstract attachComponentPortal<T>(portal: ComponentPortal<T>): ComponentRef<T>;
     abstract attachTemplatePortal<C>(portal: TemplatePortal<C>): EmbeddedViewRef<C>;
-    readonly attachDomPortal: null | ((portal: DomPortal) => any);
+    abstract attachDomPortal(portal: DomPortal): any;
     /** Detaches a previously attached portal. */
     detach(): void;
     /** Permanently dispose of this portal host. */
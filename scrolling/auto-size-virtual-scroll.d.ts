@@ -0,0 +1,147 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { NumberInput } from '@angular/cdk/coercion';
+import { OnChanges } from '@angular/core';
+import { Observable } from 'rxjs';
+import { VirtualScrollStrategy } from './virtual-scroll-strategy';
+import { CdkVirtualScrollViewport } from './virtual-scroll-viewport';
+/**
+ * Virtual scrolling strategy for lists with items of unknown or variable size. Items that haven't
+ * been rendered yet are estimated, while rendered items are measured. The measured sizes follow
+ * the items around when the data changes, based on their identity (as determined by the `trackBy`
+ * function of the repeater).
+ */
+export declare class AutoSizeVirtualScrollStrategy implements VirtualScrollStrategy {
+    private _scrolledIndexChange;
+    /** @docs-private Implemented as part of VirtualScrollStrategy. */
+    scrolledIndexChange: Observable<number>;
+    /** The attached viewport. */
+    private _viewport;
+    /** The size to assume for items that haven't been measured yet, if nothing was measured. */
+    private _itemSizeEstimate;
+    /** The minimum amount of buffer rendered beyond the viewport (in pixels). */
+    private _minBufferPx;
+    /** The number of buffer items to render beyond the edge of the viewport (in pixels). */
+    private _maxBufferPx;
+    /** Identities of the items in the data, as of the last time the data changed. */
+    private _itemKeys;
+    /** Measured size of each item in the data, or `undefined` if the item hasn't been measured. */
+    private _itemSizes;
+    /**
+     * Combined size of the measured items before each index. Contains one entry more than the
+     * number of items, the last of which is the combined size of all of the measured items.
+     */
+    private _measuredSizeSums;
+    /** Number of measured items before each index. Has the same layout as `_measuredSizeSums`. */
+    private _measuredCounts;
+    /**
+     * @param itemSizeEstimate The size to assume for items that haven't been measured yet, if no
+     *     items have been measured.
+     * @param minBufferPx The minimum amount of buffer (in pixels) before needing to render more
+     * @param maxBufferPx The amount of buffer (in pixels) to render when rendering more.
+     */
+    constructor(itemSizeEstimate: number, minBufferPx: number, maxBufferPx: number);
+    /**
+     * Attaches this scroll strategy to a viewport.
+     * @param viewport The viewport to attach this strategy to.
+     */
+    attach(viewport: CdkVirtualScrollViewport): void;
+    /** Detaches this scroll strategy from the currently attached viewport. */
+    detach(): void;
+    /**
+     * Update the item size estimate and buffer size.
+     * @param itemSizeEstimate The size to assume for items that haven't been measured yet, if no
+     *     items have been measured.
+     * @param minBufferPx The minimum amount of buffer (in pixels) before needing to render more
+     * @param maxBufferPx The amount of buffer (in pixels) to render when rendering more.
+     */
+    updateItemSizeEstimateAndBufferSize(itemSizeEstimate: number, minBufferPx: number, maxBufferPx: number): void;
+    /**
+     * Clears all of the cached item measurements. Useful when something has changed that affects
+     * the size of all items (e.g. the width of the viewport). Rendered items will be re-measured
+     * the next time the content is rendered.
+     */
+    resetMeasurements(): void;
+    /** @docs-private Implemented as part of VirtualScrollStrategy. */
+    onContentScrolled(): void;
+    /** @docs-private Implemented as part of VirtualScrollStrategy. */
+    onDataLengthChanged(): void;
+    /** @docs-private Implemented as part of VirtualScrollStrategy. */
+    onDataChanged(): void;
+    /** @docs-private Implemented as part of VirtualScrollStrategy. */
+    onContentRendered(): void;
+    /** @docs-private Implemented as part of VirtualScrollStrategy. */
+    onRenderedOffsetChanged(): void;
+    /**
+     * Scroll to the offset for the given index.
+     * @param index The index of the element to scroll to.
+     * @param behavior The ScrollBehavior to use when scrolling.
+     */
+    scrollToIndex(index: number, behavior: ScrollBehavior): void;
+    /** Gets the size that should be assumed for an item that hasn't been measured. */
+    private _getEstimatedItemSize;
+    /** Gets the offset from the start of the content to the start of the item at an index. */
+    private _getOffset;
+    /** Gets the index of the item that is rendered at a particular offset. */
+    private _getIndexAtOffset;
+    /**
+     * Measures all of the items that are currently rendered and caches their sizes.
+     * @returns Index of the first item whose size changed, or -1 if none of them changed.
+     */
+    private _measureRenderedItems;
+    /**
+     * Reads the identities of the items in the data and moves their measured sizes to their new
+     * indexes. Measurements of items that are no longer in the data are dropped.
+     */
+    private _syncItemKeys;
+    /**
+     * Recalculates the combined sizes of the measured items, starting from a specific index.
+     * @param fromIndex Index of the first item whose measurement changed.
+     */
+    private _updateMeasuredSums;
+    /** Update the viewport's total content size. */
+    private _updateTotalContentSize;
+    /** Update the viewport's rendered range. */
+    private _updateRenderedRange;
+}
+/**
+ * Provider factory for `AutoSizeVirtualScrollStrategy` that simply extracts the already created
+ * `AutoSizeVirtualScrollStrategy` from the given directive.
+ * @param autoSizeDir The instance of `CdkAutoSizeVirtualScroll` to extract the
+ *     `AutoSizeVirtualScrollStrategy` from.
+ */
+export declare function _autoSizeVirtualScrollStrategyFactory(autoSizeDir: CdkAutoSizeVirtualScroll): AutoSizeVirtualScrollStrategy;
+/** A virtual scroll strategy that supports items of unknown or varying size. */
+export declare class CdkAutoSizeVirtualScroll implements OnChanges {
+    /**
+     * The size (in pixels) to assume for items that haven't been rendered yet, before any items have
+     * been measured. Once items are measured, their average size is used instead. Defaults to 50px.
+     */
+    get itemSizeEstimate(): number;
+    set itemSizeEstimate(value: number);
+    _itemSizeEstimate: number;
+    /**
+     * The minimum amount of buffer rendered beyond the viewport (in pixels).
+     * If the amount of buffer dips below this number, more items will be rendered. Defaults to 100px.
+     */
+    get minBufferPx(): number;
+    set minBufferPx(value: number);
+    _minBufferPx: number;
+    /**
+     * The number of pixels worth of buffer to render for when rendering new items. Defaults to 200px.
+     */
+    get maxBufferPx(): number;
+    set maxBufferPx(value: number);
+    _maxBufferPx: number;
+    /** The scroll strategy used by this directive. */
+    _scrollStrategy: AutoSizeVirtualScrollStrategy;
+    ngOnChanges(): void;
+    static ngAcceptInputType_itemSizeEstimate: NumberInput;
+    static ngAcceptInputType_minBufferPx: NumberInput;
+    static ngAcceptInputType_maxBufferPx: NumberInput;
+}
@@ -0,0 +1,127 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { NumberInput } from '@angular/cdk/coercion';
+import { OnChanges } from '@angular/core';
+import { Observable } from 'rxjs';
+import { VirtualScrollGridStrategy } from './virtual-scroll-strategy';
+import { CdkVirtualScrollViewport } from './virtual-scroll-viewport';
+/**
+ * Virtual scrolling strategy for two-dimensional grids where all rows have the same fixed height
+ * and all columns have the same fixed width. The rows are rendered using `cdkVirtualFor` and the
+ * columns inside each row are rendered using `cdkVirtualColumnFor`.
+ */
+export declare class FixedSizeVirtualGridStrategy implements VirtualScrollGridStrategy {
+    /** Strategy used to virtualize the rows of the grid. */
+    private _rowStrategy;
+    /** @docs-private Implemented as part of VirtualScrollStrategy. */
+    scrolledIndexChange: Observable<number>;
+    /** The attached viewport. */
+    private _viewport;
+    /** The height of the rows in the grid. */
+    private _rowHeight;
+    /** The width of the columns in the grid. */
+    private _columnWidth;
+    /** The total number of columns in the grid. */
+    private _columnCount;
+    /** The minimum amount of buffer rendered beyond the viewport (in pixels). */
+    private _minBufferPx;
+    /** The number of buffer items to render beyond the edge of the viewport (in pixels). */
+    private _maxBufferPx;
+    /**
+     * @param rowHeight The height of the rows in the grid.
+     * @param columnWidth The width of the columns in the grid.
+     * @param columnCount The total number of columns in the grid.
+     * @param minBufferPx The minimum amount of buffer (in pixels) before needing to render more
+     * @param maxBufferPx The amount of buffer (in pixels) to render when rendering more.
+     */
+    constructor(rowHeight: number, columnWidth: number, columnCount: number, minBufferPx: number, maxBufferPx: number);
+    /**
+     * Attaches this scroll strategy to a viewport.
+     * @param viewport The viewport to attach this strategy to.
+     */
+    attach(viewport: CdkVirtualScrollViewport): void;
+    /** Detaches this scroll strategy from the currently attached viewport. */
+    detach(): void;
+    /**
+     * Update the cell size, number of columns and buffer size.
+     * @param rowHeight The height of the rows in the grid.
+     * @param columnWidth The width of the columns in the grid.
+     * @param columnCount The total number of columns in the grid.
+     * @param minBufferPx The minimum amount of buffer (in pixels) before needing to render more
+     * @param maxBufferPx The amount of buffer (in pixels) to render when rendering more.
+     */
+    updateCellAndBufferSize(rowHeight: number, columnWidth: number, columnCount: number, minBufferPx: number, maxBufferPx: number): void;
+    /** @docs-private Implemented as part of VirtualScrollStrategy. */
+    onContentScrolled(): void;
+    /** @docs-private Implemented as part of VirtualScrollStrategy. */
+    onDataLengthChanged(): void;
+    /** @docs-private Implemented as part of VirtualScrollStrategy. */
+    onContentRendered(): void;
+    /** @docs-private Implemented as part of VirtualScrollStrategy. */
+    onRenderedOffsetChanged(): void;
+    /**
+     * Scroll to the offset for the given row.
+     * @param index The index of the row to scroll to.
+     * @param behavior The ScrollBehavior to use when scrolling.
+     */
+    scrollToIndex(index: number, behavior: ScrollBehavior): void;
+    /**
+     * Scroll to the offset for the given cell.
+     * @param row The index of the row to scroll to.
+     * @param column The index of the column to scroll to.
+     * @param behavior The ScrollBehavior to use when scrolling.
+     */
+    scrollToCell(row: number, column: number, behavior: ScrollBehavior): void;
+    /** Update the viewport's total column content size. */
+    private _updateTotalColumnContentSize;
+    /** Update the viewport's rendered range of columns. */
+    private _updateRenderedColumnRange;
+}
+/**
+ * Provider factory for `FixedSizeVirtualGridStrategy` that simply extracts the already created
+ * `FixedSizeVirtualGridStrategy` from the given directive.
+ * @param gridDir The instance of `CdkFixedSizeVirtualGrid` to extract the
+ *     `FixedSizeVirtualGridStrategy` from.
+ */
+export declare function _fixedSizeVirtualGridStrategyFactory(gridDir: CdkFixedSizeVirtualGrid): FixedSizeVirtualGridStrategy;
+/** A virtual scroll strategy that supports grids with fixed-size rows and columns. */
+export declare class CdkFixedSizeVirtualGrid implements OnChanges {
+    /** The height of the rows in the grid (in pixels). */
+    get rowHeight(): number;
+    set rowHeight(value: number);
+    _rowHeight: number;
+    /** The width of the columns in the grid (in pixels). */
+    get columnWidth(): number;
+    set columnWidth(value: number);
+    _columnWidth: number;
+    /** The total number of columns in the grid. */
+    get columnCount(): number;
+    set columnCount(value: number);
+    _columnCount: number;
+    /**
+     * The minimum amount of buffer rendered beyond the viewport (in pixels).
+     * If the amount of buffer dips below this number, more cells will be rendered. Defaults to 100px.
+     */
+    get minBufferPx(): number;
+    set minBufferPx(value: number);
+    _minBufferPx: number;
+    /**
+     * The number of pixels worth of buffer to render for when rendering new cells. Defaults to 200px.
+     */
+    get maxBufferPx(): number;
+    set maxBufferPx(value: number);
+    _maxBufferPx: number;
+    /** The scroll strategy used by this directive. */
+    _scrollStrategy: FixedSizeVirtualGridStrategy;
+    ngOnChanges(): void;
+    static ngAcceptInputType_rowHeight: NumberInput;
+    static ngAcceptInputType_columnWidth: NumberInput;
+    static ngAcceptInputType_columnCount: NumberInput;
+    static ngAcceptInputType_minBufferPx: NumberInput;
+    static ngAcceptInputType_maxBufferPx: NumberInput;
+}
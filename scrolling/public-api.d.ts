@@ -5,11 +5,14 @@
  * Use of this source code is governed by an MIT-style license that can be
  * found in the LICENSE file at https://angular.io/license
  */
+export * from './auto-size-virtual-scroll';
+export * from './fixed-size-virtual-grid';
 export * from './fixed-size-virtual-scroll';
 export * from './scroll-dispatcher';
 export * from './scrollable';
 export * from './scrolling-module';
 export * from './viewport-ruler';
+export * from './virtual-column-for-of';
 export * from './virtual-for-of';
 export * from './virtual-scroll-strategy';
 export * from './virtual-scroll-viewport';
@@ -0,0 +1,46 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { DataSource, ListRange } from '@angular/cdk/collections';
+import { NumberInput } from '@angular/cdk/coercion';
+import { NgIterable, TemplateRef, TrackByFunction } from '@angular/core';
+import { Observable } from 'rxjs';
+import { CdkVirtualForOf, CdkVirtualForOfContext } from './virtual-for-of';
+/**
+ * A directive similar to `cdkVirtualFor` that renders the columns of a row inside a virtual
+ * scrolling grid. Only the columns within the rendered column range of the viewport are stamped
+ * out. Requires a scroll strategy that virtualizes columns, like `CdkFixedSizeVirtualGrid`.
+ */
+export declare class CdkVirtualColumnForOf<T> extends CdkVirtualForOf<T> {
+    /** The DataSource to display in the columns. */
+    get cdkVirtualColumnForOf(): DataSource<T> | Observable<T[]> | NgIterable<T> | null | undefined;
+    set cdkVirtualColumnForOf(value: DataSource<T> | Observable<T[]> | NgIterable<T> | null | undefined);
+    /**
+     * The `TrackByFunction` to use for tracking changes. The `TrackByFunction` takes the index and
+     * the item and produces a value to be used as the item's identity when tracking changes.
+     */
+    get cdkVirtualColumnForTrackBy(): TrackByFunction<T> | undefined;
+    set cdkVirtualColumnForTrackBy(fn: TrackByFunction<T> | undefined);
+    /** The template used to stamp out new elements. */
+    set cdkVirtualColumnForTemplate(value: TemplateRef<CdkVirtualForOfContext<T>>);
+    /**
+     * The size of the cache used to store templates that are not being used for re-use later.
+     * Setting the cache size to `0` will disable caching. Defaults to 20 templates.
+     */
+    get cdkVirtualColumnForTemplateCacheSize(): number;
+    set cdkVirtualColumnForTemplateCacheSize(size: number);
+    /** Gets the stream of column ranges that should be rendered by this repeater. */
+    protected _getRenderedRangeStream(): Observable<ListRange>;
+    /**
+     * Column repeaters don't attach to the viewport, because the number of rows is determined by
+     * the row repeater.
+     */
+    protected _attachToViewport(): void;
+    /** Column repeaters don't attach to the viewport so there is nothing to detach. */
+    protected _detachFromViewport(): void;
+    static ngAcceptInputType_cdkVirtualColumnForTemplateCacheSize: NumberInput;
+}
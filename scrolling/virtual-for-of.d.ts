@@ -44,7 +44,7 @@ export declare class CdkVirtualForOf<T> implements CdkVirtualScrollRepeater<T>,
     /** The strategy used to render items in the virtual scroll viewport. */
     private _viewRepeater;
     /** The virtual scrolling viewport that these items are being rendered in. */
-    private _viewport;
+    protected _viewport: CdkVirtualScrollViewport;
     /** Emits when the rendered view of the data changes. */
     viewChange: Subject<ListRange>;
     /** Subject that emits when a new DataSource instance is given. */
@@ -98,8 +98,19 @@ export declare class CdkVirtualForOf<T> implements CdkVirtualScrollRepeater<T>,
      * rendered.
      */
     measureRangeSize(range: ListRange, orientation: 'horizontal' | 'vertical'): number;
+    /**
+     * Gets the identity of the item at the specified index in the data, as determined by the
+     * `cdkVirtualForTrackBy` function. If no `trackBy` function is set, the item itself is returned.
+     */
+    getItemKey(index: number): any;
     ngDoCheck(): void;
     ngOnDestroy(): void;
+    /** Gets the stream of ranges that should be rendered by this repeater. */
+    protected _getRenderedRangeStream(): Observable<ListRange>;
+    /** Attaches the repeater to the viewport as the source of its data. */
+    protected _attachToViewport(): void;
+    /** Detaches the repeater from the viewport. */
+    protected _detachFromViewport(): void;
     /** React to scroll state changes in the viewport. */
     private _onRenderedDataChange;
     /** Swap out one `DataSource` for another. */
@@ -13,4 +13,9 @@ import { ListRange } from '@angular/cdk/collections';
 export interface CdkVirtualScrollRepeater<T> {
     dataStream: Observable<T[] | ReadonlyArray<T>>;
     measureRangeSize(range: ListRange, orientation: 'horizontal' | 'vertical'): number;
+    /**
+     * Gets a value that identifies the item at the specified index in the data. Used by scroll
+     * strategies that need to keep track of individual items (e.g. to cache their measured size).
+     */
+    getItemKey?(index: number): any;
 }
@@ -25,6 +25,8 @@ export interface VirtualScrollStrategy {
     onContentScrolled(): void;
     /** Called when the length of the data changes. */
     onDataLengthChanged(): void;
+    /** Called when the data changes, regardless of whether its length changed. */
+    onDataChanged?(): void;
     /** Called when the range of items rendered in the DOM has changed. */
     onContentRendered(): void;
     /** Called when the offset of the rendered items changed. */
@@ -36,3 +38,13 @@ export interface VirtualScrollStrategy {
      */
     scrollToIndex(index: number, behavior: ScrollBehavior): void;
 }
+/** A strategy that virtualizes both the rows and the columns of a two-dimensional grid. */
+export interface VirtualScrollGridStrategy extends VirtualScrollStrategy {
+    /**
+     * Scroll to the offset for the given cell.
+     * @param row The index of the row to scroll to.
+     * @param column The index of the column to scroll to.
+     * @param behavior The ScrollBehavior to use when scrolling.
+     */
+    scrollToCell(row: number, column: number, behavior: ScrollBehavior): void;
+}
@@ -23,6 +23,8 @@ export declare class CdkVirtualScrollViewport extends CdkScrollable implements O
     private _detachedSubject;
     /** Emits when the rendered range changes. */
     private _renderedRangeSubject;
+    /** Emits when the rendered range of columns changes. */
+    private _renderedColumnRangeSubject;
     /** The direction the viewport scrolls. */
     get orientation(): 'horizontal' | 'vertical';
     set orientation(orientation: 'horizontal' | 'vertical');
@@ -33,10 +35,20 @@ export declare class CdkVirtualScrollViewport extends CdkScrollable implements O
     _contentWrapper: ElementRef<HTMLElement>;
     /** A stream that emits whenever the rendered range changes. */
     renderedRangeStream: Observable<ListRange>;
+    /**
+     * A stream that emits whenever the rendered range of columns changes. Only emits if the
+     * columns are being virtualized by the scroll strategy (e.g. when rendering a grid).
+     */
+    renderedColumnRangeStream: Observable<ListRange>;
     /**
      * The total size of all content (in pixels), including content that is not currently rendered.
      */
     private _totalContentSize;
+    /**
+     * The total size of all columns (in pixels), including columns that are not currently rendered.
+     * Only set if the columns are being virtualized.
+     */
+    private _totalColumnContentSize;
     /** A string representing the `style.width` property value to be used for the spacer element. */
     _totalContentWidth: string;
     /** A string representing the `style.height` property value to be used for the spacer element. */
@@ -48,10 +60,19 @@ export declare class CdkVirtualScrollViewport extends CdkScrollable implements O
     private _renderedContentTransform;
     /** The currently rendered range of indices. */
     private _renderedRange;
+    /** The currently rendered range of column indices. */
+    private _renderedColumnRange;
+    /**
+     * The CSS transform applied to the rendered subset of columns so that they appear within the
+     * horizontal bounds of the visible viewport.
+     */
+    private _renderedColumnContentTransform;
     /** The length of the data bound to this viewport (in number of items). */
     private _dataLength;
     /** The size of the viewport (in pixels). */
     private _viewportSize;
+    /** The width of the viewport (in pixels). */
+    private _viewportWidth;
     /** the currently attached CdkVirtualScrollRepeater. */
     private _forOf;
     /** The last rendered content offset that was set. */
@@ -78,6 +99,8 @@ export declare class CdkVirtualScrollViewport extends CdkScrollable implements O
     getDataLength(): number;
     /** Gets the size of the viewport (in pixels). */
     getViewportSize(): number;
+    /** Gets the width of the viewport (in pixels), regardless of its orientation. */
+    getViewportWidth(): number;
     /** Get the current rendered range of items. */
     getRenderedRange(): ListRange;
     /**
@@ -87,6 +110,20 @@ export declare class CdkVirtualScrollViewport extends CdkScrollable implements O
     setTotalContentSize(size: number): void;
     /** Sets the currently rendered range of indices. */
     setRenderedRange(range: ListRange): void;
+    /** Get the current rendered range of columns. */
+    getRenderedColumnRange(): ListRange;
+    /** Sets the currently rendered range of column indices. */
+    setRenderedColumnRange(range: ListRange): void;
+    /**
+     * Sets the total size of all columns (in pixels), including columns that are not currently
+     * rendered.
+     */
+    setTotalColumnContentSize(size: number): void;
+    /**
+     * Sets the offset from the start of the viewport to the start of the rendered columns
+     * (in pixels).
+     */
+    setRenderedColumnContentOffset(offset: number): void;
     /**
      * Gets the offset from the start of the viewport to the start of the rendered data (in pixels).
      */
@@ -110,6 +147,14 @@ export declare class CdkVirtualScrollViewport extends CdkScrollable implements O
      * @param behavior The ScrollBehavior to use when scrolling. Default is behavior is `auto`.
      */
     scrollToIndex(index: number, behavior?: ScrollBehavior): void;
+    /**
+     * Scrolls to the offset for the given cell. Requires a scroll strategy that virtualizes both
+     * the rows and the columns, like the one provided by `CdkFixedSizeVirtualGrid`.
+     * @param row The index of the row to scroll to.
+     * @param column The index of the column to scroll to.
+     * @param behavior The ScrollBehavior to use when scrolling. Default is behavior is `auto`.
+     */
+    scrollToCell(row: number, column: number, behavior?: ScrollBehavior): void;
     /**
      * Gets the current scroll offset from the start of the viewport (in pixels).
      * @param from The edge to measure the offset from. Defaults to 'top' in vertical mode and 'start'
@@ -123,6 +168,11 @@ export declare class CdkVirtualScrollViewport extends CdkScrollable implements O
      * not rendered.
      */
     measureRangeSize(range: ListRange): number;
+    /**
+     * Gets a value that identifies the item at the given index in the data. Falls back to the index
+     * itself if the attached `CdkVirtualScrollRepeater` can't identify its items.
+     */
+    getItemKey(index: number): any;
     /** Update the viewport dimensions and re-render. */
     checkViewportSize(): void;
     /** Measure the viewport size. */
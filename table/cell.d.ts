@@ -5,9 +5,11 @@
  * Use of this source code is governed by an MIT-style license that can be
  * found in the LICENSE file at https://angular.io/license
  */
-import { BooleanInput } from '@angular/cdk/coercion';
-import { ElementRef, TemplateRef } from '@angular/core';
+import { BooleanInput, NumberInput } from '@angular/cdk/coercion';
+import { ElementRef, TemplateRef, OnDestroy } from '@angular/core';
+import { Subject } from 'rxjs';
 import { CanStick, CanStickCtor } from './can-stick';
+import { CdkTableResizable } from './tokens';
 /** Base interface for a cell definition. Captures a column's cell template definition. */
 export interface CellDef {
     template: TemplateRef<any>;
@@ -58,6 +60,19 @@ export declare class CdkColumnDef extends _CdkColumnDefBase implements CanStick
     get stickyEnd(): boolean;
     set stickyEnd(v: boolean);
     _stickyEnd: boolean;
+    /**
+     * Width of the column in pixels. Gets applied to all of the column's cells, so whether it
+     * includes their padding and borders depends on their `box-sizing`. Useful for columns whose
+     * width can be changed by the user, e.g. through `cdkResizable`.
+     */
+    get width(): number | null;
+    set width(value: number | null);
+    private _width;
+    /**
+     * Emits when the width of the column changes.
+     * @docs-private
+     */
+    readonly _widthChanges: Subject<number | null>;
     /** @docs-private */
     cell: CdkCellDef;
     /** @docs-private */
@@ -93,14 +108,24 @@ export declare class CdkColumnDef extends _CdkColumnDefBase implements CanStick
     protected _setNameInput(value: string): void;
     static ngAcceptInputType_sticky: BooleanInput;
     static ngAcceptInputType_stickyEnd: BooleanInput;
+    static ngAcceptInputType_width: NumberInput;
 }
-/** Base class for the cells. Adds a CSS classname that identifies the column it renders in. */
-export declare class BaseCdkCell {
+/**
+ * Base class for the cells. Adds a CSS classname that identifies the column it renders in
+ * and keeps the cell's width in sync with the width of the column.
+ */
+export declare class BaseCdkCell implements OnDestroy {
+    /** Subscription to the width changes of the cell's column. */
+    private _widthSubscription;
     constructor(columnDef: CdkColumnDef, elementRef: ElementRef);
+    ngOnDestroy(): void;
 }
 /** Header cell template container that adds the right classes and role. */
 export declare class CdkHeaderCell extends BaseCdkCell {
-    constructor(columnDef: CdkColumnDef, elementRef: ElementRef);
+    /** Subscription to the resize events of the cell. */
+    private _resizeSubscription;
+    constructor(columnDef: CdkColumnDef, elementRef: ElementRef, resizable?: CdkTableResizable);
+    ngOnDestroy(): void;
 }
 /** Footer cell template container that adds the right classes and role. */
 export declare class CdkFooterCell extends BaseCdkCell {
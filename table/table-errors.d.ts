@@ -46,3 +46,9 @@ export declare function getTableTextColumnMissingParentTableError(): Error;
  * @docs-private
  */
 export declare function getTableTextColumnMissingNameError(): Error;
+/**
+ * Returns an error to be thrown when the virtual scroll viewport attempts to measure rows of
+ * a table that aren't currently rendered.
+ * @docs-private
+ */
+export declare function getTableUnrenderedRowMeasureError(): Error;
@@ -9,8 +9,8 @@ import { Directionality } from '@angular/cdk/bidi';
 import { BooleanInput } from '@angular/cdk/coercion';
 import { CollectionViewer, DataSource, _ViewRepeater } from '@angular/cdk/collections';
 import { Platform } from '@angular/cdk/platform';
-import { ViewportRuler } from '@angular/cdk/scrolling';
-import { AfterContentChecked, ChangeDetectorRef, ElementRef, IterableDiffers, OnDestroy, OnInit, QueryList, TrackByFunction, ViewContainerRef } from '@angular/core';
+import { CdkVirtualScrollViewport, ViewportRuler } from '@angular/cdk/scrolling';
+import { AfterContentChecked, ChangeDetectorRef, ElementRef, InjectionToken, IterableDiffers, NgZone, OnDestroy, OnInit, QueryList, TrackByFunction, ViewContainerRef } from '@angular/core';
 import { BehaviorSubject, Observable } from 'rxjs';
 import { CdkColumnDef } from './cell';
 import { _CoalescedStyleScheduler } from './coalesced-style-scheduler';
@@ -22,6 +22,19 @@ import { StickyPositioningListener } from './sticky-position-listener';
  */
 export declare class CdkRecycleRows {
 }
+/**
+ * Injection token used to provide the virtual scroll viewport in which a table should only render
+ * the rows that are in view.
+ * @docs-private
+ */
+export declare const _TABLE_VIRTUAL_SCROLL_VIEWPORT: InjectionToken<CdkVirtualScrollViewport>;
+/**
+ * Enables virtual scrolling for a table that is placed inside of a `cdk-virtual-scroll-viewport`.
+ * Only the rows within the viewport's rendered range will be rendered. Can be combined with
+ * `recycleRows` to re-use the rows that are scrolled out of view.
+ */
+export declare class CdkTableVirtualScroll {
+}
 /** Interface used to provide an outlet for rows to be inserted into. */
 export interface RowOutlet {
     viewContainer: ViewContainerRef;
@@ -118,6 +131,12 @@ export declare class CdkTable<T> implements AfterContentChecked, CollectionViewe
      * @breaking-change 13.0.0
      */
     protected readonly _stickyPositioningListener: StickyPositioningListener;
+    /**
+     * @deprecated `_ngZone` parameter to become required.
+     * @breaking-change 14.0.0
+     */
+    protected readonly _ngZone?: NgZone | undefined;
+    private readonly _virtualScrollViewport?;
     private _document;
     /** Latest data provided by the data source. */
     protected _data: T[] | ReadonlyArray<T>;
@@ -125,6 +144,16 @@ export declare class CdkTable<T> implements AfterContentChecked, CollectionViewe
     private _onDestroy;
     /** List of the rendered rows as identified by their `RenderRow` object. */
     private _renderRows;
+    /**
+     * List of all the rows for the table's data as identified by their `RenderRow` object. Only
+     * differs from `_renderRows` when virtual scrolling, in which case the rows outside of the
+     * viewport's rendered range aren't rendered.
+     */
+    private _allRenderRows;
+    /** Range of render rows that should be rendered. Only set when virtual scrolling. */
+    private _renderedRange;
+    /** Emits the list of all render rows to the virtual scroll viewport. */
+    private _virtualScrollDataStream;
     /** Subscription that listens for the data provided by the data source. */
     private _renderChangeSubscription;
     /**
@@ -315,7 +344,12 @@ export declare class CdkTable<T> implements AfterContentChecked, CollectionViewe
      * @deprecated `_stickyPositioningListener` parameter to become required.
      * @breaking-change 13.0.0
      */
-    _stickyPositioningListener: StickyPositioningListener);
+    _stickyPositioningListener: StickyPositioningListener, 
+    /**
+     * @deprecated `_ngZone` parameter to become required.
+     * @breaking-change 14.0.0
+     */
+    _ngZone?: NgZone | undefined, _virtualScrollViewport?: CdkVirtualScrollViewport | undefined);
     ngOnInit(): void;
     ngAfterContentChecked(): void;
     ngOnDestroy(): void;
@@ -372,6 +406,27 @@ export declare class CdkTable<T> implements AfterContentChecked, CollectionViewe
      * input. May be called manually for cases where the cell content changes outside of these events.
      */
     updateStickyColumnStyles(): void;
+    /**
+     * Renders the rows within the current rendered range. If the table isn't virtual scrolling,
+     * all of the rows are rendered. Checks for differences since the last render to perform only
+     * the necessary changes (add/remove/move rows).
+     */
+    private _renderRowsInRange;
+    /**
+     * Connects the table to a virtual scroll viewport so that only the rows within the viewport's
+     * rendered range are rendered.
+     */
+    private _setupVirtualScrolling;
+    /**
+     * Measures the combined size (width for horizontal orientation, height for vertical) of the
+     * rendered rows within the specified range of render rows. Used by the virtual scroll viewport.
+     */
+    private _measureRenderedRowsSize;
+    /**
+     * Converts a range of render rows into the range of data objects that they represent. The two
+     * only differ if multiple rows can be rendered for the same data object.
+     */
+    private _getDataRange;
     /**
      * Get the list of RenderRow objects to render according to the current list of data and defined
      * row definitions. If the previous list already contained a particular pair, it should be reused
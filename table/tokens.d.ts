@@ -6,6 +6,7 @@
  * found in the LICENSE file at https://angular.io/license
  */
 import { InjectionToken } from '@angular/core';
+import { Observable } from 'rxjs';
 /**
  * Used to provide a table to some of the sub-components without causing a circular dependency.
  * @docs-private
@@ -23,3 +24,15 @@ export interface TextColumnOptions<T> {
 }
 /** Injection token that can be used to specify the text column options. */
 export declare const TEXT_COLUMN_OPTIONS: InjectionToken<TextColumnOptions<any>>;
+/** Element that can change the width of the table header cell that it is placed on. */
+export interface CdkTableResizable {
+    /** Emits when the element has been resized. */
+    resized: Observable<unknown>;
+}
+/**
+ * Injection token that can be used by a resizable element, like `CdkResizable` from
+ * `@angular/cdk/drag-drop`, to provide itself to the header cell that it is placed on, so that
+ * the width of the entire column is changed along with it. Used to avoid a dependency from the
+ * table on the packages that can resize its cells.
+ */
+export declare const CDK_TABLE_RESIZABLE: InjectionToken<CdkTableResizable>;
@@ -0,0 +1,39 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { NgZone } from '@angular/core';
+/**
+ * Tracks the pointer while it is over an element and reports once it has slowed down enough to
+ * indicate that the user intends to interact with the element, rather than passing over it.
+ * @docs-private
+ */
+export declare class HoverIntent {
+    private readonly _element;
+    private readonly _ngZone;
+    /** Most recent coordinates of the pointer. */
+    private _current;
+    /** Coordinates of the pointer at the previous sample. */
+    private _previous;
+    /** ID of the timeout for the next sample. */
+    private _timeoutId;
+    /** Removes the `mousemove` listener from the element. */
+    private _removeMoveListener;
+    constructor(_element: HTMLElement, _ngZone: NgZone);
+    /**
+     * Starts tracking the pointer, replacing any tracking that was in progress.
+     * @param event Event that started the hover, usually `mouseenter`.
+     * @param sensitivity Distance in pixels that the pointer can travel within one interval
+     *    while still being considered to be resting on the element.
+     * @param interval Interval in milliseconds at which the pointer's speed is sampled.
+     * @param callback Invoked inside the NgZone once the pointer has slowed down.
+     */
+    track(event: MouseEvent, sensitivity: number, interval: number, callback: () => void): void;
+    /** Stops tracking the pointer without invoking the callback. */
+    stop(): void;
+    /** Compares the pointer's position after one interval to its previous position. */
+    private _scheduleSample;
+}
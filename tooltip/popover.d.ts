@@ -0,0 +1,51 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { FocusMonitor } from '@angular/cdk/a11y';
+import { Directionality } from '@angular/cdk/bidi';
+import { Overlay, OverlayRef, ScrollDispatcher } from '@angular/cdk/overlay';
+import { Platform } from '@angular/cdk/platform';
+import { ElementRef, EventEmitter, NgZone, TemplateRef, ViewContainerRef } from '@angular/core';
+import { CdkTooltipBase } from './tooltip-base';
+import { CdkTooltipDefaultOptions } from './tooltip-config';
+/** Interaction that shows a popover. */
+export declare type PopoverTrigger = 'click' | 'hover';
+/**
+ * Directive that shows the content of a template in an overlay next to the host element. Unlike a
+ * tooltip, the content of a popover can be interactive. By default the popover is toggled when
+ * the host element is clicked and it is hidden when the user clicks outside of it or presses
+ * the escape key. Popovers that are triggered on hover behave like a tooltip instead, while
+ * still allowing the user to move the pointer or focus into them.
+ */
+export declare class CdkPopover extends CdkTooltipBase {
+    private readonly _viewContainerRef;
+    /** Template that is rendered inside of the popover. */
+    get template(): TemplateRef<unknown> | null;
+    set template(value: TemplateRef<unknown> | null);
+    private _template;
+    /** Interaction that shows the popover. */
+    triggerOn: PopoverTrigger;
+    /** Unique ID of the overlay pane that renders the popover. */
+    readonly panelId: string;
+    /** Emits when the popover has been shown. */
+    readonly shown: EventEmitter<void>;
+    /** Emits when the popover has been hidden. */
+    readonly hidden: EventEmitter<void>;
+    protected readonly _classPrefix = "cdk-popover";
+    /** Portal used to render the template. */
+    private _portal;
+    constructor(overlay: Overlay, elementRef: ElementRef<HTMLElement>, ngZone: NgZone, scrollDispatcher: ScrollDispatcher, platform: Platform, focusMonitor: FocusMonitor, _viewContainerRef: ViewContainerRef, scrollStrategy: any, document: any, dir?: Directionality, defaultOptions?: CdkTooltipDefaultOptions);
+    /** Toggles the popover when the trigger is clicked, if it is shown on click. */
+    _handleClick(): void;
+    protected _hasContent(): boolean;
+    protected _showsOnHoverAndFocus(): boolean;
+    protected _onOverlayCreated(overlayRef: OverlayRef): void;
+    protected _attachContent(overlayRef: OverlayRef): void;
+    protected _onDetached(): void;
+    /** Hides the popover, moving focus back to the trigger if it was inside the popover. */
+    protected _handleEscape(): void;
+}
@@ -0,0 +1,13 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+export * from './tooltip-config';
+export * from './tooltip-base';
+export * from './tooltip';
+export * from './tooltip-container';
+export * from './popover';
+export * from './tooltip-module';
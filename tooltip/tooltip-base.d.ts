@@ -0,0 +1,161 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { FocusMonitor } from '@angular/cdk/a11y';
+import { Directionality } from '@angular/cdk/bidi';
+import { BooleanInput, NumberInput } from '@angular/cdk/coercion';
+import { Overlay, OverlayRef, ScrollDispatcher } from '@angular/cdk/overlay';
+import { Platform } from '@angular/cdk/platform';
+import { AfterViewInit, ElementRef, NgZone, OnDestroy } from '@angular/core';
+import { Subject } from 'rxjs';
+import { CdkTooltipDefaultOptions, TooltipPosition } from './tooltip-config';
+/**
+ * Abstract directive that implements the behavior shared by `CdkTooltip` and `CdkPopover`:
+ * showing and hiding a panel in an overlay after a delay, hover intent, touch long-presses,
+ * dismissal through the escape key and placement through a `FlexibleConnectedPositionStrategy`
+ * which falls back to the other sides of the trigger if the panel doesn't fit. An element with
+ * the `cdk-tooltip-arrow` or `cdk-popover-arrow` class inside of the panel is positioned
+ * such that it points towards the center of the trigger.
+ */
+export declare abstract class CdkTooltipBase implements AfterViewInit, OnDestroy {
+    protected readonly _overlay: Overlay;
+    protected readonly _elementRef: ElementRef<HTMLElement>;
+    protected readonly _ngZone: NgZone;
+    private readonly _scrollDispatcher;
+    private readonly _platform;
+    private readonly _focusMonitor;
+    protected readonly _dir?: Directionality | undefined;
+    /** Placement of the panel relative to the trigger. */
+    get position(): TooltipPosition;
+    set position(value: TooltipPosition);
+    private _position;
+    /** Whether the trigger is disabled. Disabled triggers don't show their panel. */
+    get disabled(): boolean;
+    set disabled(value: boolean);
+    private _disabled;
+    /** Time in milliseconds between the user pointing at the trigger and the panel showing. */
+    get showDelay(): number;
+    set showDelay(value: number);
+    private _showDelay;
+    /** Time in milliseconds between the user leaving the trigger and the panel hiding. */
+    get hideDelay(): number;
+    set hideDelay(value: number);
+    private _hideDelay;
+    /** Classes to be added to the overlay pane that renders the panel. */
+    get panelClass(): string | string[];
+    set panelClass(value: string | string[]);
+    private _panelClass;
+    /** Reference to the overlay that renders the panel, once it has been created. */
+    protected _overlayRef: OverlayRef | null;
+    /** Options that determine the defaults of the trigger. */
+    protected readonly _defaultOptions: Required<CdkTooltipDefaultOptions>;
+    /** Emits when the trigger is destroyed. */
+    protected readonly _destroyed: Subject<void>;
+    /** Reference to the document. */
+    protected readonly _document: Document;
+    /** Prefix of the classes that are added to the overlay pane, e.g. `cdk-tooltip`. */
+    protected abstract readonly _classPrefix: string;
+    /** ID of the timeout after which the panel is shown. */
+    private _showTimeoutId;
+    /** ID of the timeout after which the panel is hidden. */
+    private _hideTimeoutId;
+    /** ID of the timeout after which a touch counts as a long press. */
+    private _longPressTimeoutId;
+    /** Coordinates at which the current touch started. */
+    private _touchStartPosition;
+    /** Class that reflects the side of the trigger on which the panel was placed. */
+    private _placementClass;
+    /** Tracks whether the user intends to point at the trigger. */
+    private readonly _hoverIntent;
+    /** Creates the scroll strategy of the overlay that renders the panel. */
+    private readonly _scrollStrategy;
+    /** Listeners that have been bound to the trigger. */
+    private readonly _triggerListeners;
+    constructor(_overlay: Overlay, _elementRef: ElementRef<HTMLElement>, _ngZone: NgZone, _scrollDispatcher: ScrollDispatcher, _platform: Platform, _focusMonitor: FocusMonitor, scrollStrategy: any, document: any, _dir?: Directionality | undefined, defaultOptions?: CdkTooltipDefaultOptions);
+    ngAfterViewInit(): void;
+    ngOnDestroy(): void;
+    /** Whether the panel is currently shown. */
+    isShown(): boolean;
+    /**
+     * Shows the panel after a delay.
+     * @param delay Time in milliseconds after which to show the panel.
+     */
+    show(delay?: number): void;
+    /**
+     * Hides the panel after a delay.
+     * @param delay Time in milliseconds after which to hide the panel.
+     */
+    hide(delay?: number): void;
+    /** Shows the panel if it is hidden and hides it if it is shown, without a delay. */
+    toggle(): void;
+    /** Updates the position of the panel, e.g. after its content has changed. */
+    updatePosition(): void;
+    /** Whether the trigger has content that can be shown in the panel. */
+    protected abstract _hasContent(): boolean;
+    /** Whether the panel is shown on hover, long press and keyboard focus. */
+    protected abstract _showsOnHoverAndFocus(): boolean;
+    /** Renders the content of the panel inside of the overlay. */
+    protected abstract _attachContent(overlayRef: OverlayRef): void;
+    /** Invoked once the overlay that renders the panel has been created. */
+    protected _onOverlayCreated(_overlayRef: OverlayRef): void;
+    /** Invoked once the panel has been hidden. */
+    protected _onDetached(): void;
+    /** Handles the user pressing the escape key while the panel is shown. */
+    protected _handleEscape(): void;
+    /** Whether a node is inside of the overlay pane that renders the panel. */
+    protected _isInsidePanel(node: Node | null): boolean;
+    /** Renders the panel inside of the overlay. */
+    private _attach;
+    /** Removes the panel from the overlay. */
+    private _detach;
+    /** Gets the overlay that renders the panel, creating it if it doesn't exist yet. */
+    private _getOverlayRef;
+    /** Updates the positions in which the panel can be placed. */
+    private _updatePosition;
+    /** Adds a class to the overlay pane which reflects the side on which the panel was placed. */
+    private _updatePlacementClass;
+    /** Binds the pointer listeners that show and hide the panel to the trigger. */
+    private _bindTriggerListeners;
+    /**
+     * Binds the listeners which keep the panel shown while the user interacts with it,
+     * allowing them to move the pointer or focus from the trigger to the panel.
+     */
+    private _bindPanelListeners;
+    /** Handles the pointer entering the trigger. */
+    private _handleMouseenter;
+    /** Handles the pointer leaving the trigger. */
+    private _handleMouseleave;
+    /** Handles the user touching the trigger. */
+    private _handleTouchstart;
+    /** Cancels the long press if the user starts scrolling. */
+    private _handleTouchmove;
+    /** Handles the user lifting their finger from the trigger. */
+    private _handleTouchend;
+    /**
+     * Hides the panel once focus has left both the trigger and the panel. Waits for focus to land
+     * on its new target first, because it may be moving between the trigger and the panel.
+     */
+    private _hideIfFocusLeft;
+    /**
+     * Prevents the browser from selecting text or opening its context callout while the user
+     * long-presses the trigger, because either of them would cover the panel.
+     */
+    private _disableNativeGesturesIfNecessary;
+    /** Whether the platform fires mouse events for pointer interactions. */
+    private _platformSupportsMouseEvents;
+    /** Whether the trigger is in a right-to-left context. */
+    private _isRtl;
+    /** Cancels the pending timeout which shows the panel. */
+    private _clearShowTimeout;
+    /** Cancels the pending timeout which hides the panel. */
+    private _clearHideTimeout;
+    /** Cancels the pending long press. */
+    private _clearLongPressTimeout;
+    static ngAcceptInputType_disabled: BooleanInput;
+    static ngAcceptInputType_showDelay: NumberInput;
+    static ngAcceptInputType_hideDelay: NumberInput;
+}
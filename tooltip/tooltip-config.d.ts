@@ -0,0 +1,59 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { ConnectedPosition, Overlay, ScrollStrategy } from '@angular/cdk/overlay';
+import { InjectionToken } from '@angular/core';
+/**
+ * Placement of a tooltip or popover relative to its trigger. `before` and `after` depend on the
+ * layout direction, whereas `left` and `right` always refer to the same side.
+ */
+export declare type TooltipPosition = 'left' | 'right' | 'above' | 'below' | 'before' | 'after';
+/** Options that can be used to configure the default behavior of tooltips and popovers. */
+export interface CdkTooltipDefaultOptions {
+    /** Time in milliseconds between the user pointing at the trigger and the panel showing. */
+    showDelay?: number;
+    /** Time in milliseconds between the user leaving the trigger and the panel hiding. */
+    hideDelay?: number;
+    /** Time in milliseconds that the user has to press on the trigger before the panel shows. */
+    touchLongPressShowDelay?: number;
+    /** Time in milliseconds between the user lifting their finger and the panel hiding. */
+    touchendHideDelay?: number;
+    /**
+     * Distance in pixels that the pointer can travel within one `hoverIntentInterval`
+     * while still being considered to be resting on the trigger.
+     */
+    hoverIntentSensitivity?: number;
+    /**
+     * Interval in milliseconds at which the pointer's speed is sampled. Set to zero in order
+     * to show the panel as soon as the pointer enters the trigger.
+     */
+    hoverIntentInterval?: number;
+    /** Default placement of the panel relative to the trigger. */
+    position?: TooltipPosition;
+}
+/** Injection token that can be used to configure the defaults of tooltips and popovers. */
+export declare const CDK_TOOLTIP_DEFAULT_OPTIONS: InjectionToken<CdkTooltipDefaultOptions>;
+/** Options that are used when none were provided through `CDK_TOOLTIP_DEFAULT_OPTIONS`. */
+export declare const CDK_TOOLTIP_BASE_DEFAULT_OPTIONS: Required<CdkTooltipDefaultOptions>;
+/** Injection token that determines the scroll handling while a tooltip or popover is shown. */
+export declare const CDK_TOOLTIP_SCROLL_STRATEGY: InjectionToken<() => ScrollStrategy>;
+/** @docs-private */
+export declare function CDK_TOOLTIP_SCROLL_STRATEGY_PROVIDER_FACTORY(overlay: Overlay): () => ScrollStrategy;
+/** @docs-private */
+export declare const CDK_TOOLTIP_SCROLL_STRATEGY_PROVIDER: {
+    provide: InjectionToken<() => ScrollStrategy>;
+    deps: (typeof Overlay)[];
+    useFactory: typeof CDK_TOOLTIP_SCROLL_STRATEGY_PROVIDER_FACTORY;
+};
+/**
+ * Gets the positions in which a panel can be placed, in order of preference. The preferred
+ * placement is followed by the opposite side of the trigger and then by the two remaining sides,
+ * so that the position strategy can fall back to them if the panel doesn't fit.
+ * @param position Preferred placement of the panel.
+ * @param isRtl Whether the trigger is in a right-to-left context.
+ */
+export declare function getTooltipConnectedPositions(position: TooltipPosition, isRtl: boolean): ConnectedPosition[];
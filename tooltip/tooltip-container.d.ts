@@ -0,0 +1,22 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { ChangeDetectorRef } from '@angular/core';
+/**
+ * Unstyled component that renders the message of a `CdkTooltip` inside of its overlay.
+ * The message is hidden from assistive technology, because it is already announced
+ * through the `aria-describedby` attribute of the trigger.
+ * @docs-private
+ */
+export declare class CdkTooltipContainer {
+    private readonly _changeDetectorRef;
+    /** Message that is shown in the tooltip. */
+    message: string;
+    constructor(_changeDetectorRef: ChangeDetectorRef);
+    /** Updates the message that is shown in the tooltip. */
+    _setMessage(message: string): void;
+}
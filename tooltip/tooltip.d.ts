@@ -0,0 +1,41 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { AriaDescriber, FocusMonitor } from '@angular/cdk/a11y';
+import { Directionality } from '@angular/cdk/bidi';
+import { Overlay, OverlayRef, ScrollDispatcher } from '@angular/cdk/overlay';
+import { Platform } from '@angular/cdk/platform';
+import { ElementRef, NgZone, OnDestroy, ViewContainerRef } from '@angular/core';
+import { CdkTooltipBase } from './tooltip-base';
+import { CdkTooltipDefaultOptions } from './tooltip-config';
+/**
+ * Directive that shows a short text message in an overlay when the user hovers over the host
+ * element, focuses it using the keyboard or long-presses it on a touch device. The message is
+ * also added to the `aria-describedby` attribute of the host element through the
+ * `AriaDescriber`, so that it is announced by assistive technology.
+ */
+export declare class CdkTooltip extends CdkTooltipBase implements OnDestroy {
+    private readonly _viewContainerRef;
+    private readonly _ariaDescriber;
+    /** Message that is shown in the tooltip. */
+    get message(): string;
+    set message(value: string);
+    private _message;
+    protected readonly _classPrefix = "cdk-tooltip";
+    /** Component that renders the message, if the tooltip is shown. */
+    private _container;
+    /** Portal used to render the message. */
+    private _portal;
+    constructor(overlay: Overlay, elementRef: ElementRef<HTMLElement>, ngZone: NgZone, scrollDispatcher: ScrollDispatcher, platform: Platform, focusMonitor: FocusMonitor, _viewContainerRef: ViewContainerRef, _ariaDescriber: AriaDescriber, scrollStrategy: any, document: any, dir?: Directionality, defaultOptions?: CdkTooltipDefaultOptions);
+    ngOnDestroy(): void;
+    protected _hasContent(): boolean;
+    protected _showsOnHoverAndFocus(): boolean;
+    protected _attachContent(overlayRef: OverlayRef): void;
+    protected _onDetached(): void;
+    /** Updates the message inside of the tooltip, if it is shown. */
+    private _updateMessage;
+}
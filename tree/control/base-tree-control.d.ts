@@ -7,7 +7,7 @@
  */
 import { SelectionModel } from '@angular/cdk/collections';
 import { Observable } from 'rxjs';
-import { TreeControl } from './tree-control';
+import { TreeChildrenLoader, TreeControl, TreeNodeChildrenState } from './tree-control';
 /** Base tree control. It has basic toggle/expand/collapse operations on a single data node. */
 export declare abstract class BaseTreeControl<T, K = T> implements TreeControl<T, K> {
     /** Gets a list of descendent data nodes of a subtree rooted at given data node recursively. */
@@ -34,6 +34,19 @@ export declare abstract class BaseTreeControl<T, K = T> implements TreeControl<T
     isExpandable: (dataNode: T) => boolean;
     /** Gets a stream that emits whenever the given data node's children change. */
     getChildren: (dataNode: T) => (Observable<T[]> | T[] | undefined | null);
+    /**
+     * Function used to lazily load the children of a data node. If set, the first batch of
+     * children is loaded when a data node is expanded for the first time.
+     */
+    loadChildren?: TreeChildrenLoader<T>;
+    /** State of the lazily-loaded children, keyed by the data node's tracking value. */
+    private _childrenStates;
+    /** Subscriptions to the batches of children that are currently being loaded. */
+    private _childrenSubscriptions;
+    /** Emits a data node whenever the state of its lazily-loaded children changes. */
+    private _childrenStateChanges;
+    /** Stream that emits a data node whenever the state of its lazily-loaded children changes. */
+    readonly childrenStateChanges: Observable<T>;
     /** Toggles one single data node's expanded/collapsed state. */
     toggle(dataNode: T): void;
     /** Expands one single data node. */
@@ -50,5 +63,28 @@ export declare abstract class BaseTreeControl<T, K = T> implements TreeControl<T
     expandDescendants(dataNode: T): void;
     /** Collapses a subtree rooted at given data node recursively. */
     collapseDescendants(dataNode: T): void;
+    /**
+     * Gets the state of the lazily-loaded children of a data node. Returns null if
+     * no children have been requested for the data node yet.
+     */
+    getChildrenState(dataNode: T): TreeNodeChildrenState<T> | null;
+    /**
+     * Gets a stream of the lazily-loaded children of a data node. Emits the children that have
+     * been loaded so far whenever the state of the data node's children changes.
+     */
+    getLoadedChildren(dataNode: T): Observable<T[]>;
+    /**
+     * Loads the next batch of children of a data node. If loading the previous
+     * batch failed, the failed batch will be requested again.
+     */
+    loadMoreChildren(dataNode: T): void;
+    /** Retries loading the children of a data node if loading the last batch failed. */
+    retryLoadingChildren(dataNode: T): void;
+    /** Discards the lazily-loaded children of a data node and loads them again from the start. */
+    reloadChildren(dataNode: T): void;
+    /** Loads the first batch of children of a data node, unless it has been loaded already. */
+    private _loadChildrenOnFirstExpand;
+    /** Updates the state of the lazily-loaded children of a data node. */
+    private _setChildrenState;
     protected _trackByValue(value: T | K): K;
 }
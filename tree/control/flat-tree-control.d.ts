@@ -6,9 +6,16 @@
  * found in the LICENSE file at https://angular.io/license
  */
 import { BaseTreeControl } from './base-tree-control';
+import { TreeChildrenLoader } from './tree-control';
 /** Optional set of configuration that can be provided to the FlatTreeControl. */
 export interface FlatTreeControlOptions<T, K> {
     trackBy?: (dataNode: T) => K;
+    /**
+     * Function used to lazily load the children of a data node. Note that the loaded children
+     * have to be added to the flattened data by the data source, e.g. by listening to the
+     * `childrenStateChanges` stream of the tree control.
+     */
+    loadChildren?: TreeChildrenLoader<T>;
 }
 /** Flat tree control. Able to expand/collapse a subtree recursively for flattened tree. */
 export declare class FlatTreeControl<T, K = T> extends BaseTreeControl<T, K> {
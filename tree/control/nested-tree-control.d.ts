@@ -7,9 +7,15 @@
  */
 import { Observable } from 'rxjs';
 import { BaseTreeControl } from './base-tree-control';
+import { TreeChildrenLoader } from './tree-control';
 /** Optional set of configuration that can be provided to the NestedTreeControl. */
 export interface NestedTreeControlOptions<T, K> {
     trackBy?: (dataNode: T) => K;
+    /**
+     * Function used to lazily load the children of a data node. Used for the data nodes
+     * for which `getChildren` doesn't return any children.
+     */
+    loadChildren?: TreeChildrenLoader<T>;
 }
 /** Nested tree control. Able to expand/collapse a subtree recursively for NestedNode type. */
 export declare class NestedTreeControl<T, K = T> extends BaseTreeControl<T, K> {
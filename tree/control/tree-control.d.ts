@@ -7,6 +7,29 @@
  */
 import { SelectionModel } from '@angular/cdk/collections';
 import { Observable } from 'rxjs';
+/** State of the lazily-loaded children of a data node. */
+export interface TreeNodeChildrenState<T> {
+    /** Children that have been loaded so far. */
+    children: T[];
+    /** Whether a batch of children is currently being loaded. */
+    loading: boolean;
+    /** Error that was thrown while loading the last batch of children, if any. */
+    error: any;
+    /** Whether there are more children that can be loaded. */
+    hasMore: boolean;
+}
+/** Batch of children that was loaded lazily for a data node. */
+export interface TreeChildrenBatch<T> {
+    /** Children that were loaded. */
+    children: T[];
+    /** Whether there are more children that can be loaded after this batch. */
+    hasMore?: boolean;
+}
+/**
+ * Function used to lazily load a batch of children of a data node, starting from `offset`.
+ * Returning an array, rather than a `TreeChildrenBatch`, indicates that all children were loaded.
+ */
+export declare type TreeChildrenLoader<T> = (dataNode: T, offset: number) => Observable<TreeChildrenBatch<T> | T[]>;
 /**
  * Tree control interface. User can implement TreeControl to expand/collapse dataNodes in the tree.
  * The CDKTree will use this TreeControl to expand/collapse a node.
@@ -46,4 +69,10 @@ export interface TreeControl<T, K = T> {
     readonly isExpandable: (dataNode: T) => boolean;
     /** Gets a stream that emits whenever the given data node's children change. */
     readonly getChildren: (dataNode: T) => Observable<T[]> | T[] | undefined | null;
+    /** Function used to lazily load the children of a data node when it is expanded. */
+    loadChildren?: TreeChildrenLoader<T>;
+    /** Stream that emits a data node whenever the state of its lazily-loaded children changes. */
+    readonly childrenStateChanges?: Observable<T>;
+    /** Gets the state of the lazily-loaded children of a data node. */
+    getChildrenState?(dataNode: T): TreeNodeChildrenState<T> | null;
 }
@@ -29,6 +29,8 @@ export declare class CdkNestedTreeNode<T, K = T> extends CdkTreeNode<T, K> imple
     ngOnInit(): void;
     ngDoCheck(): void;
     ngOnDestroy(): void;
+    /** Whether the node has any children. */
+    protected _hasChildren(): boolean;
     /** Add children dataNodes to the NodeOutlet */
     protected updateChildrenNodes(children?: T[]): void;
     /** Clear the children dataNodes. */
@@ -18,6 +18,20 @@ export declare class CdkTreeNodeOutletContext<T> {
     count?: number;
     constructor(data: T);
 }
+/** Context provided to the placeholder that is shown while the children of a node are loaded. */
+export declare class CdkTreeNodePlaceholderContext<T> {
+    /** Data node whose children are being loaded. */
+    $implicit: T;
+    /** Depth of the placeholder. Same as the depth of the children of the data node. */
+    level: number;
+    /** Whether a batch of children is currently being loaded. */
+    loading: boolean;
+    /** Error that was thrown while loading the last batch of children, if any. */
+    error: any;
+    /** Whether there are more children that can be loaded. */
+    hasMore: boolean;
+    constructor(data: T);
+}
 /**
  * Data node definition for the CdkTree.
  * Captures the node's template and a when predicate that describes when this node should be used.
@@ -35,3 +49,13 @@ export declare class CdkTreeNodeDef<T> {
     /** @docs-private */
     constructor(template: TemplateRef<any>);
 }
+/**
+ * Placeholder definition for the CdkTree. Rendered after the children of a node whose children
+ * are loaded lazily, while they are loading, if loading them failed or if more can be loaded.
+ * Captures the template of the placeholder.
+ */
+export declare class CdkTreeNodePlaceholderDef {
+    template: TemplateRef<CdkTreeNodePlaceholderContext<any>>;
+    /** @docs-private */
+    constructor(template: TemplateRef<CdkTreeNodePlaceholderContext<any>>);
+}
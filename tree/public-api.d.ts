@@ -15,5 +15,6 @@ export * from './padding';
 export * from './outlet';
 export * from './tree';
 export * from './tree-errors';
+export * from './tree-key-manager';
 export * from './tree-module';
 export * from './toggle';
@@ -30,3 +30,9 @@ export declare function getTreeControlMissingError(): Error;
  * @docs-private
  */
 export declare function getTreeControlFunctionsMissingError(): Error;
+/**
+ * Returns an error to be thrown when virtual scrolling is enabled for a tree that doesn't
+ * use a flat tree control.
+ * @docs-private
+ */
+export declare function getTreeVirtualScrollRequiresFlatTreeError(): Error;
@@ -0,0 +1,76 @@
+/**
+ * @license
+ * Copyright Google LLC All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { FocusableOption } from '@angular/cdk/a11y';
+import { QueryList } from '@angular/core';
+import { Observable } from 'rxjs';
+/** Item that can be managed by a `TreeKeyManager`. */
+export interface TreeKeyManagerItem extends FocusableOption {
+    /** Zero-based level of the item within the tree. */
+    readonly level: number;
+    /** Whether the item is currently expanded. */
+    readonly isExpanded: boolean;
+    /** Whether the item can be expanded. */
+    readonly isExpandable: boolean;
+    /** Expands the item. */
+    expand(): void;
+    /** Collapses the item. */
+    collapse(): void;
+}
+/**
+ * Manages keyboard navigation within a tree, following the WAI-ARIA tree view pattern. Up and
+ * down arrows move between the visible items, right arrow expands an item or moves to its first
+ * child, left arrow collapses an item or moves to its parent and `*` expands all of the siblings
+ * of the active item. Supports Home/End and type-ahead through an underlying `FocusKeyManager`.
+ * The items have to be provided in the order in which they appear in the tree.
+ */
+export declare class TreeKeyManager<T extends TreeKeyManagerItem> {
+    private _items;
+    /** Items whose ancestors are all expanded. Kept in sync with the list of all items. */
+    private _visibleItems;
+    /** Key manager that handles the navigation between the visible items. */
+    private _keyManager;
+    /** Text direction of the tree. Determines which horizontal key expands an item. */
+    private _direction;
+    /** Stream that emits whenever the active item changes. */
+    readonly change: Observable<T>;
+    constructor(_items: QueryList<T> | T[]);
+    /**
+     * Turns on type-ahead mode which allows users to set the active item by typing.
+     * @param debounceInterval Time to wait after the last keystroke before setting the active item.
+     */
+    withTypeAhead(debounceInterval?: number): this;
+    /**
+     * Configures the direction of the tree. In a right-to-left tree the left arrow
+     * expands items and the right arrow collapses them.
+     * @param direction Direction in which the tree is laid out.
+     */
+    withHorizontalOrientation(direction: 'ltr' | 'rtl'): this;
+    /** The active item. */
+    get activeItem(): T | null;
+    /** Sets the active item and focuses it. */
+    setActiveItem(item: T): void;
+    /**
+     * Sets the active item without focusing it or emitting through the `change` stream. Useful
+     * for keeping the key manager in sync when an item received focus through other means.
+     */
+    updateActiveItem(item: T): void;
+    /** Sets the active item depending on the key event passed in. */
+    onKeydown(event: KeyboardEvent): void;
+    /** Expands the item if it's collapsed, otherwise moves focus to its first child. */
+    private _expandOrFocusFirstChild;
+    /** Collapses the item if it's expanded, otherwise moves focus to its parent. */
+    private _collapseOrFocusParent;
+    /** Expands all of the siblings of the specified item, including the item itself. */
+    private _expandSiblings;
+    /** Gets the parent of an item. Relies on the items being in the same order as in the tree. */
+    private _getParent;
+    /** Updates the list of visible items based on the expanded state of their ancestors. */
+    private _updateVisibleItems;
+    /** Gets the list of all items as an array. */
+    private _getItemsArray;
+}
@@ -5,13 +5,28 @@
  * Use of this source code is governed by an MIT-style license that can be
  * found in the LICENSE file at https://angular.io/license
  */
-import { FocusableOption } from '@angular/cdk/a11y';
 import { CollectionViewer, DataSource } from '@angular/cdk/collections';
-import { AfterContentChecked, ChangeDetectorRef, DoCheck, ElementRef, IterableDiffer, IterableDiffers, OnDestroy, OnInit, QueryList, TrackByFunction, ViewContainerRef } from '@angular/core';
+import { Directionality } from '@angular/cdk/bidi';
+import { CdkVirtualScrollViewport } from '@angular/cdk/scrolling';
+import { AfterContentChecked, ChangeDetectorRef, DoCheck, ElementRef, InjectionToken, IterableDiffer, IterableDiffers, NgZone, OnDestroy, OnInit, QueryList, TrackByFunction, ViewContainerRef } from '@angular/core';
 import { BehaviorSubject, Observable, Subject } from 'rxjs';
 import { TreeControl } from './control/tree-control';
-import { CdkTreeNodeDef } from './node';
+import { CdkTreeNodeDef, CdkTreeNodePlaceholderDef } from './node';
 import { CdkTreeNodeOutlet } from './outlet';
+import { TreeKeyManager, TreeKeyManagerItem } from './tree-key-manager';
+/**
+ * Injection token used to provide the virtual scroll viewport in which a tree should only render
+ * the nodes that are in view.
+ * @docs-private
+ */
+export declare const _TREE_VIRTUAL_SCROLL_VIEWPORT: InjectionToken<CdkVirtualScrollViewport>;
+/**
+ * Enables virtual scrolling for a flat tree that is placed inside of a
+ * `cdk-virtual-scroll-viewport`. Only the flattened nodes within the viewport's rendered range
+ * will be rendered.
+ */
+export declare class CdkTreeVirtualScroll {
+}
 /**
  * CDK tree component that connects with a data source to retrieve data of type `T` and renders
  * dataNodes with hierarchy. Updates the dataNodes when new data is provided by the data source.
@@ -19,6 +34,13 @@ import { CdkTreeNodeOutlet } from './outlet';
 export declare class CdkTree<T, K = T> implements AfterContentChecked, CollectionViewer, OnDestroy, OnInit {
     private _differs;
     private _changeDetectorRef;
+    /**
+     * @deprecated `_ngZone` parameter to become required.
+     * @breaking-change 14.0.0
+     */
+    private _ngZone?;
+    private _virtualScrollViewport?;
+    private _dir?;
     /** Subject that emits when the component has been destroyed. */
     private _onDestroy;
     /** Differ used to find the changes in the data provided by the data source. */
@@ -29,6 +51,22 @@ export declare class CdkTree<T, K = T> implements AfterContentChecked, Collectio
     private _dataSubscription;
     /** Level of nodes */
     private _levels;
+    /** Latest flattened data provided by the data source. Only set when virtual scrolling. */
+    private _data;
+    /** Range of nodes that should be rendered. Only set when virtual scrolling. */
+    private _renderedRange;
+    /** Emits the latest flattened data to the virtual scroll viewport. */
+    private _virtualScrollDataStream;
+    /** All of the nodes that are currently rendered in the tree, in the order they appear in. */
+    private _nodes;
+    /** Whether an update of the rendered nodes has been scheduled. */
+    private _nodeUpdateScheduled;
+    /** Manages the keyboard navigation between the nodes of the tree. */
+    _keyManager: TreeKeyManager<CdkTreeNode<T, K>>;
+    /** Latest data that was rendered in the root of the tree. */
+    private _rootData;
+    /** Contexts of the placeholders that are rendered, keyed by the node whose children they load. */
+    private _placeholderContexts;
     /**
      * Provides a stream containing the latest data array to render. Influenced by the tree's
      * stream of view window (what dataNodes are currently on screen).
@@ -49,6 +87,8 @@ export declare class CdkTree<T, K = T> implements AfterContentChecked, Collectio
     _nodeOutlet: CdkTreeNodeOutlet;
     /** The tree node template for the tree */
     _nodeDefs: QueryList<CdkTreeNodeDef<T>>;
+    /** Template that is shown while the children of a node are loaded lazily. */
+    _placeholderDef: CdkTreeNodePlaceholderDef | undefined;
     /**
      * Stream containing the latest information on what rows are being displayed on screen.
      * Can be used by the data source to as a heuristic of what data should be provided.
@@ -57,10 +97,35 @@ export declare class CdkTree<T, K = T> implements AfterContentChecked, Collectio
         start: number;
         end: number;
     }>;
-    constructor(_differs: IterableDiffers, _changeDetectorRef: ChangeDetectorRef);
+    constructor(_differs: IterableDiffers, _changeDetectorRef: ChangeDetectorRef, 
+    /**
+     * @deprecated `_ngZone` parameter to become required.
+     * @breaking-change 14.0.0
+     */
+    _ngZone?: NgZone | undefined, _virtualScrollViewport?: CdkVirtualScrollViewport | undefined, _dir?: Directionality | undefined);
     ngOnInit(): void;
     ngOnDestroy(): void;
     ngAfterContentChecked(): void;
+    /**
+     * Tracking function used by the differs of the tree. Placeholders aren't part of
+     * the data so they're always tracked by identity.
+     * @docs-private
+     */
+    _trackNode: (index: number, item: T) => any;
+    /** Handles keyboard events on the tree. */
+    _handleKeydown(event: KeyboardEvent): void;
+    /** Keeps the key manager in sync when one of the nodes is focused through other means. */
+    _handleFocus(event: FocusEvent): void;
+    /**
+     * Registers a node that was rendered in the tree.
+     * @docs-private
+     */
+    _registerNode(node: CdkTreeNode<T, K>): void;
+    /**
+     * Removes a node that is no longer rendered in the tree.
+     * @docs-private
+     */
+    _unregisterNode(node: CdkTreeNode<T, K>): void;
     /**
      * Switch to the provided data source by resetting the data and unsubscribing from the current
      * render change subscription if one exists. If the data source is null, interpret this by
@@ -71,6 +136,62 @@ export declare class CdkTree<T, K = T> implements AfterContentChecked, Collectio
     private _observeRenderChanges;
     /** Check for changes made in the data and render each change (node added/removed/moved). */
     renderNodeChanges(data: T[] | ReadonlyArray<T>, dataDiffer?: IterableDiffer<T>, viewContainer?: ViewContainerRef, parentData?: T): void;
+    /** Diffs the provided data against the rendered nodes and applies the changes to the view. */
+    private _applyNodeChanges;
+    /**
+     * Adds the placeholders of the nodes whose children are being loaded lazily to the data.
+     * In a flat tree the placeholder is added after the last descendant of the expanded node
+     * whereas in a nested tree it's added after the children of the parent node.
+     */
+    private _addPlaceholders;
+    /**
+     * Gets the context of the placeholder that should be shown after the children of a node.
+     * Returns null if the node doesn't need a placeholder.
+     */
+    private _getPlaceholderContext;
+    /** Whether a placeholder should be shown for a node with the specified children state. */
+    private _needsPlaceholder;
+    /** Re-renders the placeholders whenever the loading state of a node's children changes. */
+    private _observeChildrenStateChanges;
+    /** Renders the flattened nodes that are within the rendered range of the viewport. */
+    private _renderNodesInRange;
+    /**
+     * Connects the tree to a virtual scroll viewport so that only the flattened nodes within the
+     * viewport's rendered range are rendered.
+     */
+    private _setupVirtualScrolling;
+    /**
+     * Measures the combined size (width for horizontal orientation, height for vertical) of the
+     * rendered nodes within the specified range. Used by the virtual scroll viewport.
+     */
+    private _measureRenderedNodesSize;
+    /** Sets up the key manager that handles the keyboard navigation between nodes. */
+    private _setupKeyManager;
+    /**
+     * Schedules an update of the rendered nodes. Nodes are usually rendered in batches so we
+     * defer the update until all of them have been registered.
+     */
+    private _scheduleNodeUpdate;
+    /**
+     * Sorts the rendered nodes in the order in which they appear in the DOM and updates their
+     * `aria-setsize`, `aria-posinset` and `tabindex` attributes.
+     */
+    private _updateNodes;
+    /**
+     * Gets the siblings of each of the data nodes of a flat tree, as well as their index
+     * among them, based on the levels of the nodes in the flattened data.
+     */
+    private _getFlatNodePositions;
+    /**
+     * Gets the siblings of each of the rendered nodes, as well as their index among them, based on
+     * the order of the nodes in the DOM. Expects the nodes to be sorted already.
+     */
+    private _getRenderedNodePositions;
+    /**
+     * Updates the roving tabindex of the nodes so that only the active node,
+     * or the first node if none is active, can be reached using the tab key.
+     */
+    private _updateTabIndex;
     /**
      * Finds the matching node definition that should be used for this node data. If there is only
      * one node definition, it is returned. Otherwise, find the node definition that has a when
@@ -83,11 +204,13 @@ export declare class CdkTree<T, K = T> implements AfterContentChecked, Collectio
      * within the data node view container.
      */
     insertNode(nodeData: T, index: number, viewContainer?: ViewContainerRef, parentData?: T): void;
+    /** Creates the embedded view of a placeholder at the specified index. */
+    private _insertPlaceholder;
 }
 /**
  * Tree node for CdkTree. It contains the data in the tree node.
  */
-export declare class CdkTreeNode<T, K = T> implements DoCheck, FocusableOption, OnDestroy, OnInit {
+export declare class CdkTreeNode<T, K = T> implements DoCheck, TreeKeyManagerItem, OnDestroy, OnInit {
     protected _elementRef: ElementRef<HTMLElement>;
     protected _tree: CdkTree<T, K>;
     /**
@@ -113,8 +236,10 @@ export declare class CdkTreeNode<T, K = T> implements DoCheck, FocusableOption,
     set data(value: T);
     protected _data: T;
     get isExpanded(): boolean;
+    /** Whether the node can be expanded. */
+    get isExpandable(): boolean;
     private _setExpanded;
-    protected _isAriaExpanded: boolean;
+    protected _isAriaExpanded: boolean | null;
     get level(): number;
     constructor(_elementRef: ElementRef<HTMLElement>, _tree: CdkTree<T, K>);
     ngOnInit(): void;
@@ -122,5 +247,21 @@ export declare class CdkTreeNode<T, K = T> implements DoCheck, FocusableOption,
     ngOnDestroy(): void;
     /** Focuses the menu item. Implements for FocusableOption. */
     focus(): void;
+    /** Expands the node. */
+    expand(): void;
+    /** Collapses the node. */
+    collapse(): void;
+    /** Gets the label of the node. Used for type-ahead. */
+    getLabel(): string;
+    /**
+     * Gets the host element of the node.
+     * @docs-private
+     */
+    _getHostElement(): HTMLElement;
+    /**
+     * Whether the node has any children. Only used if the tree control can't
+     * determine whether a node is expandable, e.g. in nested trees.
+     */
+    protected _hasChildren(): boolean;
     protected _setRoleFromData(): void;
 }